@@ -0,0 +1,63 @@
+import { add, cross4, dot, normalize, scale, sub } from './helpers'
+
+export default class HyperCamera {
+  constructor(
+    eye = [0, 0, 0, -10],
+    target = [0, 0, 0, 0],
+    up = [0, 1, 0, 0],
+    over = [0, 0, 1, 0]
+  ) {
+    this.eye = eye
+    this.lookAt4D(target, up, over)
+  }
+
+  // Orient the camera toward the target, up and over giving the y and z
+  // directions of the view. The camera frame is [x, y, z, w], w being the
+  // viewing direction, and is the identity when looking along the w axis
+  lookAt4D(target, up = this.up, over = this.over) {
+    this.target = target
+    this.up = up
+    this.over = over
+    const w = normalize(sub(target, this.eye))
+    const x = normalize(cross4(up, over, w))
+    const y = normalize(cross4(w, over, x))
+    const z = cross4(x, y, w)
+    if ([x, y].some(e => e.some(isNaN))) {
+      throw new Error(
+        'The up and over vectors must be independent of the viewing direction'
+      )
+    }
+    this.basis = [x, y, z, w]
+  }
+
+  moveTo(eye) {
+    this.eye = eye
+    this.lookAt4D(this.target)
+  }
+
+  // Move the eye and the target together
+  translate(delta) {
+    this.eye = add(this.eye, delta)
+    this.target = add(this.target, delta)
+  }
+
+  // Move the eye and the target along the viewing direction
+  forward(distance) {
+    this.translate(scale(this.basis[3], distance))
+  }
+
+  // Direction in the camera frame
+  viewVector(v) {
+    return this.basis.map(e => dot(v, e))
+  }
+
+  // Point in the camera frame, w being the depth from the eye
+  viewPoint(p) {
+    return this.viewVector(sub(p, this.eye))
+  }
+
+  // Inverse of viewPoint
+  unviewPoint(p) {
+    return this.basis.reduce((q, e, i) => add(q, scale(e, p[i])), this.eye)
+  }
+}
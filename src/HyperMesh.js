@@ -17,6 +17,9 @@ import {
 } from 'three'
 import { cellColors } from './colorGenerators'
 import { pointsVertexShader, pointsFragmentShader } from './helpers'
+import { getTopology } from './topology'
+import { orientShape } from './orientation'
+import { subdivideShape } from './subdivide'
 
 export const defaultColors = new Array(128)
   .fill()
@@ -31,6 +34,8 @@ const defaults = {
     reuse: 'none',
     split: 'cells',
     splitScale: 100, // Need split cells or faces
+    cullBackCells: false, // Need split cells or faces
+    subdivisions: 1, // Segments per edge, to curve edges and faces in non linear projections
     material: new MeshPhongMaterial({
       transparent: true,
       opacity: 0.25,
@@ -48,6 +53,8 @@ const defaults = {
     reuse: 'faces',
     split: 'cells',
     splitScale: 100, // Need split cells or faces
+    cullBackCells: false, // Need split cells or faces
+    subdivisions: 1, // Segments per edge, to curve edges and faces in non linear projections
     material: new LineBasicMaterial({
       transparent: true,
       opacity: 0.25,
@@ -65,6 +72,8 @@ const defaults = {
     reuse: 'faces',
     split: 'none',
     splitScale: 100, // Need split cells or faces
+    cullBackCells: false, // Need split cells or faces
+    subdivisions: 1, // Segments per edge, to curve edges and faces in non linear projections
     material: new ShaderMaterial({
       uniforms: {
         size: { value: 5 },
@@ -78,8 +87,18 @@ const defaults = {
   },
 }
 
+// Triangle fan of the face, reversed when the face is oriented backward
+const triangulate = (face, orientation = 1) => {
+  const ordered = orientation < 0 ? [face[0], ...face.slice(1).reverse()] : face
+  return ordered
+    .slice(2)
+    .map((_, i) => [ordered[0], ordered[i + 1], ordered[i + 2]])
+    .flat()
+}
+
 const reuses = ['all', 'faces', 'none']
 const splits = ['none', 'cells', 'faces']
+const primitiveSizes = { points: 1, edges: 2, faces: 3 }
 
 export default class HyperMesh extends Group {
   constructor(
@@ -110,6 +129,13 @@ export default class HyperMesh extends Group {
         ...all,
       },
     }
+    // Default materials are cloned so that changing the material of
+    // one object doesn't change the others
+    Object.entries(this.config).forEach(([type, config]) => {
+      if (config.material === defaults[type].material) {
+        config.material = config.material.clone()
+      }
+    })
 
     this.parts = {}
     const meshes = {
@@ -133,11 +159,28 @@ export default class HyperMesh extends Group {
           )
           geometryOrder = unfoldOrder
         }
+        if (this.config[type].cullBackCells && geometryOrder === 0) {
+          console.warn(
+            `Back cells can’t be culled without splitting ${type} in cells or faces`
+          )
+        }
+        const shape =
+          this.config[type].subdivisions > 1
+            ? subdivideShape(this.shape, this.config[type].subdivisions, {
+                faces: type === 'faces',
+              })
+            : this.shape
         const verticesIndices = this.getVerticesIndices(
           unfoldOrder,
-          geometryOrder
+          geometryOrder,
+          shape
+        )
+        const indices = this.getIndices(
+          unfoldOrder,
+          geometryOrder,
+          order + 1,
+          shape
         )
-        const indices = this.getIndices(unfoldOrder, geometryOrder, order + 1)
         const geometry = this.buildGeometry(
           verticesIndices,
           this.config[type].useColors,
@@ -158,12 +201,17 @@ export default class HyperMesh extends Group {
             geometryOrder,
             this.config[type].colorGenerator,
             this.config[type].colors,
-            type
+            type,
+            shape
           )
         }
         this.parts[type] = {
           geometry,
           verticesIndices,
+          indices,
+          geometryOrder,
+          shape,
+          hiding: false,
         }
         this.add(this[type])
       }
@@ -172,35 +220,35 @@ export default class HyperMesh extends Group {
 
   initGeometry(size, withColors) {}
 
-  getVerticesIndices(unfoldOrder, geometryOrder) {
-    const unfoldFace = faceIndex => this.shape.faces[faceIndex]
+  getVerticesIndices(unfoldOrder, geometryOrder, shape = this.shape) {
+    const unfoldFace = faceIndex => shape.faces[faceIndex]
 
     if (unfoldOrder === 0) {
       // All vertices are added once in buffer geometry and reused across faces / cells
       if (geometryOrder === 0) {
-        return new Array(this.shape.vertices.length).fill().map((_, i) => i)
+        return new Array(shape.vertices.length).fill().map((_, i) => i)
       }
     } else if (unfoldOrder === 1) {
       // Vertices are reused in cells, partial unfold
       if (geometryOrder === 0) {
-        return this.shape.cells
+        return shape.cells
           .map(cell => [...new Set(cell.map(unfoldFace).flat())])
           .flat()
       }
       if (geometryOrder === 1) {
-        return this.shape.cells.map(cell => [
+        return shape.cells.map(cell => [
           ...new Set(cell.map(unfoldFace).flat()),
         ])
       }
     } else if (unfoldOrder === 2) {
       // Vertices are never reused, full unfold
       if (geometryOrder === 0) {
-        return this.shape.cells.map(cell => cell.map(unfoldFace).flat()).flat()
+        return shape.cells.map(cell => cell.map(unfoldFace).flat()).flat()
       }
       if (geometryOrder === 1) {
-        return this.shape.cells.map(cell => cell.map(unfoldFace).flat())
+        return shape.cells.map(cell => cell.map(unfoldFace).flat())
       } else if (geometryOrder === 2) {
-        return this.shape.cells.map(cell => cell.map(unfoldFace))
+        return shape.cells.map(cell => cell.map(unfoldFace))
       }
     }
   }
@@ -212,13 +260,27 @@ export default class HyperMesh extends Group {
     geometryOrder,
     colorGenerator,
     colors,
-    type
+    type,
+    shape = this.shape
   ) {
-    const colorGetter = colorGenerator({
-      shape: this.shape,
+    const getColor = colorGenerator({
+      shape,
       colors: colors.map(color => new Color(color)),
     })
-    const unfoldFace = faceIndex => this.shape.faces[faceIndex]
+    // Subdivided faces are colored as the face they come from
+    const colorGetter = shape.faceOrigins
+      ? args =>
+          getColor({
+            ...args,
+            face:
+              args.face === undefined
+                ? undefined
+                : this.shape.cells[args.cell].indexOf(
+                    shape.faceOrigins[shape.cells[args.cell][args.face]]
+                  ),
+          })
+      : getColor
+    const unfoldFace = faceIndex => shape.faces[faceIndex]
     if (unfoldOrder === 0) {
       if (geometryOrder === 0) {
         let pos = 0
@@ -236,7 +298,7 @@ export default class HyperMesh extends Group {
     } else if (unfoldOrder === 1) {
       if (geometryOrder === 0) {
         let pos = 0
-        this.shape.cells.forEach((cell, cellIndex) => {
+        shape.cells.forEach((cell, cellIndex) => {
           ;[...new Set(cell.map(unfoldFace).flat())].map(vertexIndex => {
             const [r, g, b] = colorGetter({
               cell: cellIndex,
@@ -252,7 +314,7 @@ export default class HyperMesh extends Group {
       }
 
       if (geometryOrder === 1) {
-        this.shape.cells.forEach((cell, cellIndex) => {
+        shape.cells.forEach((cell, cellIndex) => {
           let pos = 0
           ;[...new Set(cell.map(unfoldFace).flat())].map(vertexIndex => {
             const [r, g, b] = colorGetter({
@@ -271,7 +333,7 @@ export default class HyperMesh extends Group {
       // Vertices are never reused, full unfold
       if (geometryOrder === 0) {
         let pos = 0
-        this.shape.cells.forEach((cell, cellIndex) => {
+        shape.cells.forEach((cell, cellIndex) => {
           cell.map(unfoldFace).map((face, faceIndex) => {
             face.forEach(vertexIndex => {
               const [r, g, b] = colorGetter({
@@ -288,7 +350,7 @@ export default class HyperMesh extends Group {
         })
         geometry.attributes.color.needsUpdate = true
       } else if (geometryOrder === 1) {
-        this.shape.cells.forEach((cell, cellIndex) => {
+        shape.cells.forEach((cell, cellIndex) => {
           let pos = 0
           cell.map(unfoldFace).map((face, faceIndex) => {
             face.forEach(vertexIndex => {
@@ -306,7 +368,7 @@ export default class HyperMesh extends Group {
           geometry[cellIndex].attributes.color.needsUpdate = true
         })
       } else if (geometryOrder === 2) {
-        this.shape.cells.forEach((cell, cellIndex) => {
+        shape.cells.forEach((cell, cellIndex) => {
           cell.map(unfoldFace).map((face, faceIndex) => {
             let pos = 0
             face.forEach(vertexIndex => {
@@ -327,86 +389,80 @@ export default class HyperMesh extends Group {
     }
   }
 
-  getIndices(unfoldOrder, geometryOrder, indicesOrder) {
-    const unfoldFace = faceIndex => this.shape.faces[faceIndex]
+  getIndices(unfoldOrder, geometryOrder, indicesOrder, shape = this.shape) {
+    const unfoldFace = faceIndex => shape.faces[faceIndex]
     let indices
     if (indicesOrder === 0 || indicesOrder === 1) {
       indices = null
     } else if (indicesOrder === 2) {
-      // edges
+      // edges, each edge is drawn once per geometry and per cell
+      // unless cells are unfolded in separate faces
+      const { edges, faceEdges, cellEdges } = getTopology(shape)
       indices = []
       if (unfoldOrder === 0) {
         if (geometryOrder === 0) {
-          this.shape.cells.forEach(cell =>
-            cell.map(unfoldFace).forEach(face => {
-              face.forEach((vertexIndex, i) => {
-                indices.push(vertexIndex, face[(i + 1) % face.length])
-              })
-            })
-          )
+          edges.forEach(([a, b]) => indices.push(a, b))
         }
       } else if (unfoldOrder === 1) {
         if (geometryOrder === 0) {
           let verticeShift = 0
-          this.shape.cells.forEach(cell => {
+          shape.cells.forEach((cell, cellIndex) => {
             const verticesIndices = [...new Set(cell.map(unfoldFace).flat())]
-            cell.map(unfoldFace).forEach(face => {
-              face.forEach((vertexIndex, i) => {
-                indices.push(
-                  verticeShift + verticesIndices.indexOf(vertexIndex),
-                  verticeShift +
-                    verticesIndices.indexOf(face[(i + 1) % face.length])
-                )
-              })
+            cellEdges[cellIndex].forEach(edge => {
+              const [a, b] = edges[edge]
+              indices.push(
+                verticeShift + verticesIndices.indexOf(a),
+                verticeShift + verticesIndices.indexOf(b)
+              )
             })
             verticeShift += verticesIndices.length
           })
         } else if (geometryOrder === 1) {
-          this.shape.cells.forEach((cell, cellIndex) => {
+          shape.cells.forEach((cell, cellIndex) => {
             const verticesIndices = [...new Set(cell.map(unfoldFace).flat())]
             const subIndices = []
-            cell.map(unfoldFace).forEach(face => {
-              face.forEach((vertexIndex, i) => {
-                subIndices.push(
-                  verticesIndices.indexOf(vertexIndex),
-                  verticesIndices.indexOf(face[(i + 1) % face.length])
-                )
-              })
+            cellEdges[cellIndex].forEach(edge => {
+              const [a, b] = edges[edge]
+              subIndices.push(
+                verticesIndices.indexOf(a),
+                verticesIndices.indexOf(b)
+              )
             })
             indices.push(subIndices)
           })
         }
       } else if (unfoldOrder === 2) {
-        if (geometryOrder === 0) {
+        // Edges shared by two faces of a cell are drawn from the first one
+        const uniqueFaceEdges = (cell, cb) => {
+          const drawn = new Set()
           let verticeShift = 0
-          this.shape.cells.forEach(cell => {
-            cell.map(unfoldFace).forEach(face => {
-              face.forEach((_, i) => {
-                indices.push(
-                  verticeShift + i,
-                  verticeShift + ((i + 1) % face.length)
-                )
-              })
-              verticeShift += face.length
+          cell.forEach(faceIndex => {
+            const face = shape.faces[faceIndex]
+            faceEdges[faceIndex].forEach((edge, i) => {
+              if (!drawn.has(edge)) {
+                drawn.add(edge)
+                cb(verticeShift + i, verticeShift + ((i + 1) % face.length))
+              }
             })
+            verticeShift += face.length
+          })
+          return verticeShift
+        }
+        if (geometryOrder === 0) {
+          let verticeShift = 0
+          shape.cells.forEach(cell => {
+            verticeShift += uniqueFaceEdges(cell, (a, b) =>
+              indices.push(verticeShift + a, verticeShift + b)
+            )
           })
         } else if (geometryOrder === 1) {
-          this.shape.cells.forEach(cell => {
-            let verticeShift = 0
+          shape.cells.forEach(cell => {
             const subIndices = []
-            cell.map(unfoldFace).forEach(face => {
-              face.forEach((_, i) => {
-                subIndices.push(
-                  verticeShift + i,
-                  verticeShift + ((i + 1) % face.length)
-                )
-              })
-              verticeShift += face.length
-            })
+            uniqueFaceEdges(cell, (a, b) => subIndices.push(a, b))
             indices.push(subIndices)
           })
         } else if (geometryOrder === 2) {
-          this.shape.cells.forEach(cell => {
+          shape.cells.forEach(cell => {
             const subIndices = []
             cell.map(unfoldFace).forEach(face => {
               const subSubIndices = []
@@ -420,44 +476,44 @@ export default class HyperMesh extends Group {
         }
       }
     } else if (indicesOrder === 3) {
-      // faces
+      // faces, wound outward in their cell
+      const { faceOrientations } = orientShape(shape)
       indices = []
       if (unfoldOrder === 0) {
-        this.shape.cells.forEach(cell =>
-          cell.map(unfoldFace).forEach(face => {
-            new Array(face.length - 2).fill().forEach((_, i) => {
-              indices.push(face[0], face[i + 1], face[i + 2])
-            })
+        shape.cells.forEach((cell, cellIndex) =>
+          cell.map(unfoldFace).forEach((face, i) => {
+            indices.push(...triangulate(face, faceOrientations[cellIndex][i]))
           })
         )
       } else if (unfoldOrder === 1) {
         if (geometryOrder === 0) {
           let verticeShift = 0
-          this.shape.cells.forEach(cell => {
+          shape.cells.forEach((cell, cellIndex) => {
             const verticesIndices = [...new Set(cell.map(unfoldFace).flat())]
-            cell.map(unfoldFace).forEach(face => {
-              new Array(face.length - 2).fill().forEach((_, i) => {
-                indices.push(
-                  verticeShift + verticesIndices.indexOf(face[0]),
-                  verticeShift + verticesIndices.indexOf(face[i + 1]),
-                  verticeShift + verticesIndices.indexOf(face[i + 2])
+            cell.map(unfoldFace).forEach((face, i) => {
+              indices.push(
+                ...triangulate(
+                  face.map(
+                    vertexIndex =>
+                      verticeShift + verticesIndices.indexOf(vertexIndex)
+                  ),
+                  faceOrientations[cellIndex][i]
                 )
-              })
+              )
             })
             verticeShift += verticesIndices.length
           })
         } else if (geometryOrder === 1) {
-          this.shape.cells.forEach((cell, cellIndex) => {
+          shape.cells.forEach((cell, cellIndex) => {
             const verticesIndices = [...new Set(cell.map(unfoldFace).flat())]
             const subIndices = []
-            cell.map(unfoldFace).forEach(face => {
-              new Array(face.length - 2).fill().forEach((_, i) => {
-                subIndices.push(
-                  verticesIndices.indexOf(face[0]),
-                  verticesIndices.indexOf(face[i + 1]),
-                  verticesIndices.indexOf(face[i + 2])
+            cell.map(unfoldFace).forEach((face, i) => {
+              subIndices.push(
+                ...triangulate(
+                  face.map(vertexIndex => verticesIndices.indexOf(vertexIndex)),
+                  faceOrientations[cellIndex][i]
                 )
-              })
+              )
             })
             indices.push(subIndices)
           })
@@ -465,43 +521,42 @@ export default class HyperMesh extends Group {
       } else if (unfoldOrder === 2) {
         if (geometryOrder === 0) {
           let verticeShift = 0
-          this.shape.cells.forEach(cell => {
-            cell.map(unfoldFace).forEach(face => {
-              new Array(face.length - 2).fill().forEach((_, i) => {
-                indices.push(
-                  verticeShift,
-                  verticeShift + i + 1,
-                  verticeShift + i + 2
+          shape.cells.forEach((cell, cellIndex) => {
+            cell.map(unfoldFace).forEach((face, i) => {
+              indices.push(
+                ...triangulate(
+                  face.map((_, j) => verticeShift + j),
+                  faceOrientations[cellIndex][i]
                 )
-              })
+              )
               verticeShift += face.length
             })
           })
         } else if (geometryOrder === 1) {
-          this.shape.cells.forEach(cell => {
+          shape.cells.forEach((cell, cellIndex) => {
             let verticeShift = 0
             const subIndices = []
-            cell.map(unfoldFace).forEach(face => {
-              new Array(face.length - 2).fill().forEach((_, i) => {
-                subIndices.push(
-                  verticeShift,
-                  verticeShift + i + 1,
-                  verticeShift + i + 2
+            cell.map(unfoldFace).forEach((face, i) => {
+              subIndices.push(
+                ...triangulate(
+                  face.map((_, j) => verticeShift + j),
+                  faceOrientations[cellIndex][i]
                 )
-              })
+              )
               verticeShift += face.length
             })
             indices.push(subIndices)
           })
         } else if (geometryOrder === 2) {
-          this.shape.cells.forEach(cell => {
+          shape.cells.forEach((cell, cellIndex) => {
             const subIndices = []
-            cell.map(unfoldFace).forEach(face => {
-              const subSubIndices = []
-              new Array(face.length - 2).fill().forEach((_, i) => {
-                subSubIndices.push(0, i + 1, i + 2)
-              })
-              subIndices.push(subSubIndices)
+            cell.map(unfoldFace).forEach((face, i) => {
+              subIndices.push(
+                triangulate(
+                  face.map((_, j) => j),
+                  faceOrientations[cellIndex][i]
+                )
+              )
             })
             indices.push(subIndices)
           })
@@ -586,6 +641,30 @@ export default class HyperMesh extends Group {
     })
   }
 
+  // Index of the primitives of the given size not using hidden vertices,
+  // geometries without index having one primitive per vertex
+  setVisibleIndices(geometry, verticesIndices, indices, hidden, size) {
+    if (Array.isArray(geometry)) {
+      return geometry.forEach((x, i) =>
+        this.setVisibleIndices(
+          x,
+          verticesIndices[i],
+          indices && indices[i],
+          hidden,
+          size
+        )
+      )
+    }
+    const all = indices || verticesIndices.map((_, i) => i)
+    const visible = []
+    for (let i = 0; i < all.length; i += size) {
+      const primitive = all.slice(i, i + size)
+      primitive.some(j => hidden[verticesIndices[j]]) ||
+        visible.push(...primitive)
+    }
+    geometry.setIndex(visible.length === all.length ? indices : visible)
+  }
+
   recenter(mesh, splitScale) {
     if (mesh.isGroup) {
       return mesh.children.map(child => this.recenter(child, splitScale))
@@ -599,15 +678,72 @@ export default class HyperMesh extends Group {
     // mesh.scale.setScalar(Math.min(splitScale / 100, 0.999))
   }
 
+  // Cells whose outward normal points away from the 4D viewpoint
+  getBackCells(hyperRenderer) {
+    const { vertices, faces, cells } = this.shape
+    const { cellNormals } = orientShape(this.shape)
+    return cells.map(
+      (cell, cellIndex) =>
+        !!cellNormals[cellIndex] &&
+        hyperRenderer.facesAway(
+          vertices[faces[cell[0]][0]],
+          cellNormals[cellIndex]
+        )
+    )
+  }
+
   update(hyperRenderer) {
     hyperRenderer.prepare(this.shape.vertices)
     const vertices = this.shape.vertices.map(
       hyperRenderer.project.bind(hyperRenderer)
     )
+    const hidden = this.shape.vertices.map(
+      hyperRenderer.isHidden.bind(hyperRenderer)
+    )
+    let backCells = null
     Object.entries(this.parts).forEach(([type, part]) => {
       if (this.config[type].enabled) {
-        this.setPoint(part.geometry, part.verticesIndices, type, vertices)
+        // Subdivision points are not cached by the renderer
+        const subdivisionPoints = part.shape.vertices
+          .slice(vertices.length)
+          .map(p => hyperRenderer.rotatePoint(p))
+        this.setPoint(
+          part.geometry,
+          part.verticesIndices,
+          type,
+          subdivisionPoints.length
+            ? [
+                ...vertices,
+                ...subdivisionPoints.map(p => hyperRenderer._directProject(p)),
+              ]
+            : vertices
+        )
+        const partHidden = subdivisionPoints.length
+          ? [
+              ...hidden,
+              ...subdivisionPoints.map(p => hyperRenderer._directHidden(p)),
+            ]
+          : hidden
+        // Points, edges and faces using hidden vertices are dropped
+        // from the index until they can be projected again
+        const hiding = partHidden.some(h => h)
+        if (hiding || part.hiding) {
+          this.setVisibleIndices(
+            part.geometry,
+            part.verticesIndices,
+            part.indices,
+            partHidden,
+            primitiveSizes[type]
+          )
+          part.hiding = hiding
+        }
         this.recenter(this[type], this.config[type].splitScale)
+        if (this.config[type].cullBackCells && part.geometryOrder > 0) {
+          backCells = backCells || this.getBackCells(hyperRenderer)
+          this[type].children.forEach((cellMesh, cellIndex) => {
+            cellMesh.visible = !backCells[cellIndex]
+          })
+        }
       }
     })
   }
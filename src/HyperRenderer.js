@@ -1,31 +1,205 @@
+import { identity, multiply } from './helpers'
+import { matrixToQuaternions, quaternionsToMatrix } from './quaternions'
+import {
+  getRotationMatrix,
+  orthonormalize,
+  planeRotation,
+  planesRotation,
+} from './rotation'
+import { getSchlegelFrame, schlegelProject } from './schlegel'
+
+const oblique =
+  scale =>
+  ([x, y, z, w], { obliqueDirection: [dx, dy, dz] }) =>
+    [x + w * dx * scale, y + w * dy * scale, z + w * dz * scale]
+
+// Points of a parallel projection along the direction collapse together,
+// the viewer looking along it
+const facesAwayFrom = direction => (_, normal) =>
+  normal.reduce((s, c, i) => s + c * direction[i], 0) > 0
+
+const obliqueFacesAway =
+  scale =>
+  (point, normal, { obliqueDirection: [dx, dy, dz] }) =>
+    facesAwayFrom([-dx * scale, -dy * scale, -dz * scale, 1])(point, normal)
+
+// Smallest stereographic zoom, the points closer to the pole being hidden
+const pole = 1e-6
+
+// 4D -> 3D projections of rotated points, whether the hyperplane
+// through a rotated point with a rotated normal faces away from the viewer
+// and whether a rotated point can't be projected and must be hidden
+const projections = {
+  // Perspective divide along w, the camera being on the w axis at -w / fov.
+  // Points closer to the eye than the near distance (or behind it) are
+  // hidden, they are projected at the near distance to stay finite
+  perspective: {
+    project: ([x, y, z, w], { fov, w: camera, near }) => {
+      const zoom = Math.max(1 + (w * fov) / camera, (near * fov) / camera)
+      return [x / zoom, y / zoom, z / zoom]
+    },
+    facesAway: ([x, y, z, w], [nx, ny, nz, nw], { fov, w: camera }) =>
+      nx * x + ny * y + nz * z + nw * (w + camera / fov) > 0,
+    hides: ([, , , w], { fov, w: camera, near }) => w + camera / fov <= near,
+  },
+  // Stereographic projection of the 3-sphere going through the point
+  // from its pole on the negative w axis
+  stereographic: {
+    project: ([x, y, z, w]) => {
+      const r = Math.sqrt(x * x + y * y + z * z + w * w)
+      if (!r) {
+        return [0, 0, 0]
+      }
+      // The pole goes to infinity, it is kept finite for the geometry bounds
+      const zoom = Math.max(1 + w / r, pole)
+      return [x / zoom, y / zoom, z / zoom]
+    },
+    facesAway: ([x, y, z, w], [nx, ny, nz, nw]) =>
+      nx * x +
+        ny * y +
+        nz * z +
+        nw * (w + Math.sqrt(x * x + y * y + z * z + w * w)) >
+      0,
+    hides: ([x, y, z, w]) => {
+      const r = Math.sqrt(x * x + y * y + z * z + w * w)
+      return !!r && 1 + w / r < pole
+    },
+  },
+  // w is dropped
+  orthographic: {
+    project: ([x, y, z]) => [x, y, z],
+    facesAway: facesAwayFrom([0, 0, 0, 1]),
+  },
+  // w is drawn along the oblique direction, at full length (cavalier)
+  // or at half length (cabinet)
+  oblique: {
+    project: oblique(1),
+    facesAway: obliqueFacesAway(1),
+  },
+  cabinet: {
+    project: oblique(1 / 2),
+    facesAway: obliqueFacesAway(1 / 2),
+  },
+}
+
 export default class HyperRenderer {
-  constructor(fov, w, initialRotation) {
+  constructor(fov, w, initialRotation, projection) {
     this.fov = fov || Math.PI / 2
     this.w = w || 10 // Camera ana
+    this.near = 0.1 // Perspective near plane distance from the eye
+    this.projection = projection || 'perspective'
+    this.obliqueDirection = [Math.SQRT1_2, Math.SQRT1_2, 0]
 
     this.wt = 0
     this.wSlice = 0
+    this.schlegel = null
+    this.camera = null
 
-    this.rotation = initialRotation || {
-      xy: 0,
-      xz: 0,
-      xw: 0,
-      yz: 0,
-      yw: 0,
-      zw: 0,
+    this.rotation = identity(4)
+    if (initialRotation) {
+      this.matrix = getRotationMatrix(initialRotation)
     }
   }
 
+  // Rotation matrix applied to the shape, orthonormalized when set
+  get matrix() {
+    return this.rotation.map(row => row.slice())
+  }
+
+  set matrix(matrix) {
+    this.rotation = orthonormalize(matrix)
+    this._rotationChanged()
+  }
+
+  _rotationChanged() {}
+
+  // Rotation made of the rotations of the given angles in the 6 planes
+  // applied in the xy, xz, xw, yz, yw, zw order
+  setRotation(angles) {
+    this.matrix = planesRotation(angles)
+  }
+
+  // Rotation as a [left, right] pair of unit three.js quaternions,
+  // the point [x, y, z, w] going to left * (w + xi + yj + zk) * right
+  get quaternions() {
+    return matrixToQuaternions(this.rotation)
+  }
+
+  setQuaternions(left, right) {
+    this.matrix = quaternionsToMatrix(left, right)
+  }
+
+  // Compose the current rotation with the rotation of the quaternions pair
+  rotateQuaternions(left, right) {
+    this.matrix = multiply(quaternionsToMatrix(left, right), this.rotation)
+  }
+
+  // Compose the current rotation with the rotation of the given angle
+  // in the plane spanned by u and v, from u toward v
+  rotateInPlane(u, v, angle) {
+    this.matrix = multiply(planeRotation(u, v, angle), this.rotation)
+  }
+
   _directProject([x, y, z, w]) {
-    const zoom = 1 + (w * this.fov) / this.w
-    return [x / zoom, y / zoom, z / zoom]
+    if (this.schlegel) {
+      return this._schlegelProject([x, y, z, w])
+    }
+    return this._getProjection().project(this._view([x, y, z, w]), this)
+  }
+
+  // Rotated point in the camera frame, shifted along the viewing direction
+  // to put the camera eye at the perspective camera position
+  _view(p) {
+    if (!this.camera) {
+      return p
+    }
+    const [x, y, z, w] = this.camera.viewPoint(p)
+    return [x, y, z, w - this.w / this.fov]
+  }
+
+  // Point of the shape space seen at the given position, inverse of the
+  // camera view and of the rotation
+  unviewPoint([x, y, z, w]) {
+    return this.unrotatePoint(
+      this.camera
+        ? this.camera.unviewPoint([x, y, z, w + this.w / this.fov])
+        : [x, y, z, w]
+    )
+  }
+
+  _getProjection() {
+    if (!projections[this.projection]) {
+      throw new Error(
+        `Unknown projection ${this.projection}, expected one of ${Object.keys(
+          projections
+        ).join(', ')}`
+      )
+    }
+    return projections[this.projection]
   }
 
   project([xo, yo, zo, wo]) {
     return this._directProject(this.rotatePoint([xo, yo, zo, wo]))
   }
 
-  _directSlice([x1, y1, z1, w1], [x2, y2, z2, w2]) {
+  // Whether the rotated point can't be projected, like the pole of the
+  // stereographic projection or a point behind the perspective near plane,
+  // the primitives using it being hidden
+  _directHidden(p) {
+    if (this.schlegel) {
+      return false
+    }
+    const { hides } = this._getProjection()
+    return !!hides && hides(this._view(p), this)
+  }
+
+  isHidden(p) {
+    return this._directHidden(this.rotatePoint(p))
+  }
+
+  _directSlice(p1, p2) {
+    const [x1, y1, z1, w1] = this._view(p1)
+    const [x2, y2, z2, w2] = this._view(p2)
     if ((this.wSlice - w1) * (this.wSlice - w2) >= 0) {
       return
     }
@@ -41,53 +215,109 @@ export default class HyperRenderer {
     return this._directSlice(this.rotatePoint(p1), this.rotatePoint(p2))
   }
 
+  // Per call variant of shiftSliceBy, the phase moving by delta / 100
   shiftSlice(delta, min, max) {
-    this.wt += delta / 100
+    this.shiftSliceBy(delta, 1 / 100, min, max)
+  }
+
+  // Move the slice back and forth between min and max, its phase moving
+  // at velocity radians per second during the elapsed seconds
+  shiftSliceBy(velocity, elapsed, min, max) {
+    this.wt += velocity * elapsed
     const t = (1 + Math.cos(this.wt)) * 0.5
     this.wSlice = min + (max - min) * t
   }
 
+  // Per call variant of rotateBy, rotating by delta / 1000 radians
   rotate(delta) {
-    Object.keys(this.rotation).forEach(k => {
-      this.rotation[k] =
-        (this.rotation[k] + (delta[k] || 0) / 1000) % (2 * Math.PI)
-    })
+    this.rotateBy(delta, 1 / 1000)
+  }
+
+  // Compose the current rotation with rotations in the 6 planes at the
+  // given velocities in radians per second during the elapsed seconds
+  rotateBy(velocities, elapsed) {
+    this.matrix = multiply(
+      planesRotation(
+        Object.fromEntries(
+          Object.entries(velocities).map(([plane, velocity]) => [
+            plane,
+            velocity * elapsed,
+          ])
+        )
+      ),
+      this.rotation
+    )
   }
 
   rotatePoint([x, y, z, w]) {
-    const { xy, xz, xw, yz, yw, zw } = this.rotation
-    const cxy = Math.cos(xy)
-    const sxy = Math.sin(xy)
-    const cxz = Math.cos(xz)
-    const sxz = Math.sin(xz)
-    const cxw = Math.cos(xw)
-    const sxw = Math.sin(xw)
-    const cyz = Math.cos(yz)
-    const syz = Math.sin(yz)
-    const cyw = Math.cos(yw)
-    const syw = Math.sin(yw)
-    const czw = Math.cos(zw)
-    const szw = Math.sin(zw)
-
-    let t = x
-    x = x * cxy + y * sxy
-    y = y * cxy - t * sxy
-    t = x
-    x = x * cxz + z * sxz
-    z = z * cxz - t * sxz
-    t = x
-    x = x * cxw + w * sxw
-    w = w * cxw - t * sxw
-    t = y
-    y = y * cyz + z * syz
-    z = z * cyz - t * syz
-    t = y
-    y = y * cyw + w * syw
-    w = w * cyw - t * syw
-    t = z
-    z = z * czw + w * szw
-    w = w * czw - t * szw
-    return [x, y, z, w]
+    return this.rotation.map(([a, b, c, d]) => a * x + b * y + c * z + d * w)
+  }
+
+  // Inverse of rotatePoint
+  unrotatePoint([x, y, z, w]) {
+    const [a, b, c, d] = this.rotation
+    return a.map((_, j) => a[j] * x + b[j] * y + c[j] * z + d[j] * w)
+  }
+
+  // Schlegel diagram seen from outside the given cell of the shape,
+  // or perspective projection when shape is null. The diagram does not
+  // depend on the rotation. When switching cells of the same shape
+  // shiftSchlegel moves the diagram from the previous cell to the new one
+  setSchlegel(shape, cell = 0, distance = 0.5) {
+    if (!shape) {
+      this.schlegel = null
+      this.projection = 'perspective'
+      return
+    }
+    const current =
+      this.schlegel && this.schlegel.shape === shape ? this.schlegel : null
+    this.schlegel = {
+      shape,
+      cell,
+      frame: getSchlegelFrame(
+        shape,
+        cell,
+        distance,
+        current ? current.frame.basis : []
+      ),
+      previous: current ? current.frame : null,
+      t: current ? 0 : 1,
+    }
+  }
+
+  shiftSchlegel(delta) {
+    if (this.schlegel) {
+      this.schlegel.t = Math.min(1, this.schlegel.t + delta / 100)
+    }
+  }
+
+  _schlegelProject(p) {
+    const { frame, previous, t } = this.schlegel
+    const point = this.unrotatePoint(p)
+    const target = schlegelProject(frame, point)
+    if (!previous || t >= 1) {
+      return target
+    }
+    const s = t * t * (3 - 2 * t)
+    return schlegelProject(previous, point).map(
+      (c, i) => c + (target[i] - c) * s
+    )
+  }
+
+  // Whether the hyperplane through the point with the given normal faces
+  // away from the 4D viewpoint of the projection
+  // or of the Schlegel diagram
+  facesAway(point, normal) {
+    if (this.schlegel) {
+      const { eye } = this.schlegel.frame
+      return normal.reduce((s, c, i) => s + c * (point[i] - eye[i]), 0) > 0
+    }
+    const rotatedNormal = this.rotatePoint(normal)
+    return this._getProjection().facesAway(
+      this._view(this.rotatePoint(point)),
+      this.camera ? this.camera.viewVector(rotatedNormal) : rotatedNormal,
+      this
+    )
   }
 
   prepare() {}
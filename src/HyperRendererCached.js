@@ -1,8 +1,8 @@
 import HyperRenderer from './HyperRenderer'
 
 export default class HyperRendererCached extends HyperRenderer {
-  constructor(fov, w, initialRotation) {
-    super(fov, w, initialRotation)
+  constructor(fov, w, initialRotation, projection) {
+    super(fov, w, initialRotation, projection)
     this.rotatedVertices = null
   }
 
@@ -10,12 +10,15 @@ export default class HyperRendererCached extends HyperRenderer {
     return this._directProject(this.rotatedVertices[i])
   }
 
+  isHidden(_, i) {
+    return this._directHidden(this.rotatedVertices[i])
+  }
+
   slice(p1, p2, i1, i2) {
     return this._directSlice(this.rotatedVertices[i1], this.rotatedVertices[i2])
   }
 
-  rotate(delta) {
-    super.rotate(delta)
+  _rotationChanged() {
     this.rotatedVertices = null
   }
 
@@ -16,7 +16,17 @@ import {
 } from 'three'
 import { cellColors } from './colorGenerators'
 import { defaultColors } from './HyperMesh'
-import { pointsVertexShader, pointsFragmentShader } from './helpers'
+import {
+  createGrid,
+  crossedEdges,
+  edgeKey,
+  kuhnSimplices,
+  pointsVertexShader,
+  pointsFragmentShader,
+  sub,
+} from './helpers'
+
+const tetrahedra = kuhnSimplices(3)
 
 const defaults = {
   faces: {
@@ -91,6 +101,13 @@ export default class HyperSlice extends Group {
         ...all,
       },
     }
+    // Default materials are cloned so that changing the material of
+    // one object doesn't change the others
+    Object.entries(this.config).forEach(([type, config]) => {
+      if (config.material === defaults[type].material) {
+        config.material = config.material.clone()
+      }
+    })
 
     this.parts = {}
     const meshes = {
@@ -98,7 +115,10 @@ export default class HyperSlice extends Group {
       edges: LineSegments,
       points: Points,
     }
-    const size = 2 * this.shape.cells.reduce((rv, c) => rv + c.length, 0)
+    // Implicit field sources have their geometries sized on update
+    const size = this.shape.field
+      ? 0
+      : 2 * this.shape.cells.reduce((rv, c) => rv + c.length, 0)
     ;['points', 'edges', 'faces'].map(type => {
       if (this.config[type].enabled) {
         const geometry = this.buildGeometry(size, this.config[type].useColors)
@@ -114,6 +134,16 @@ export default class HyperSlice extends Group {
         this.add(this[type])
       }
     })
+    // Generators reading the shape vertices or cells fail on field sources
+    if (this.shape.field) {
+      try {
+        this.prepareParts()
+      } catch (error) {
+        throw new Error(
+          `Implicit field sources have no vertices or cells to color, use a color generator like cellColors, faceColors or uniformColors (${error.message})`
+        )
+      }
+    }
   }
 
   buildGeometry(size, useColors) {
@@ -139,11 +169,7 @@ export default class HyperSlice extends Group {
     return new MeshClass(geometry, material)
   }
 
-  update(hyperRenderer) {
-    hyperRenderer.prepare(this.shape.vertices)
-    const { vertices, faces, cells } = this.shape
-    const epsilon = 1e-8
-    let i = 0
+  prepareParts() {
     this.parts.faces && (this.parts.faces.indices = [])
     this.parts.edges && (this.parts.edges.indices = [])
 
@@ -155,6 +181,153 @@ export default class HyperSlice extends Group {
           })
         : null
     })
+  }
+
+  setPoint(i, [x, y, z], colorArgs) {
+    Object.entries(this.parts).forEach(([type, part]) => {
+      if (this.config[type].enabled) {
+        if (this.config[type].useColors) {
+          const [r, g, b] = part
+            .colorGetter({
+              ...colorArgs,
+              point: [x, y, z],
+              type: `${type}-pair`,
+            })
+            .toArray()
+          part.geometry.attributes.color.array[3 * i] = r
+          part.geometry.attributes.color.array[3 * i + 1] = g
+          part.geometry.attributes.color.array[3 * i + 2] = b
+        }
+        part.geometry.attributes.position.array[3 * i] = x
+        part.geometry.attributes.position.array[3 * i + 1] = y
+        part.geometry.attributes.position.array[3 * i + 2] = z
+      }
+    })
+  }
+
+  updateParts(count) {
+    Object.entries(this.parts).forEach(([type, part]) => {
+      if (this.config[type].enabled) {
+        if (type === 'points') {
+          part.geometry.setDrawRange(0, count)
+        } else {
+          part.geometry.setIndex(part.indices)
+        }
+        part.geometry.attributes.position.needsUpdate = true
+        if (this.config[type].useColors) {
+          part.geometry.attributes.color.needsUpdate = true
+        }
+        if (type === 'faces') {
+          part.geometry.computeVertexNormals()
+          part.geometry.attributes.normal.needsUpdate = true
+        }
+      }
+    })
+  }
+
+  // Run marching tetrahedra on the field restricted to the slice hyperplane
+  updateField(hyperRenderer) {
+    const { field, bounds = [-1, 1], resolution = 24 } = this.shape
+    const {
+      count,
+      point,
+      corners: cubeCorners,
+    } = createGrid(bounds, resolution, 3)
+    // The slice hyperplane in the shape space
+    const { wSlice } = hyperRenderer
+    const origin = hyperRenderer.unviewPoint([0, 0, 0, wSlice])
+    const [ex, ey, ez] = [
+      [1, 0, 0, wSlice],
+      [0, 1, 0, wSlice],
+      [0, 0, 1, wSlice],
+    ].map(axis => sub(hyperRenderer.unviewPoint(axis), origin))
+    const values = new Float64Array(count)
+    values.forEach((_, index) => {
+      const [x, y, z] = point(index)
+      values[index] = field(
+        ...origin.map((c, k) => c + x * ex[k] + y * ey[k] + z * ez[k])
+      )
+    })
+
+    const points = []
+    const pointIndices = new Map()
+    const polygons = []
+    for (let cube = 0; cube < count; cube++) {
+      const corners = cubeCorners(cube)
+      if (
+        !corners ||
+        corners.every(a => values[a] < 0) ||
+        corners.every(a => values[a] >= 0)
+      ) {
+        continue
+      }
+      tetrahedra.forEach(tetrahedron => {
+        const edges = crossedEdges(
+          tetrahedron.map(corner => corners[corner]),
+          values
+        )
+        edges &&
+          polygons.push(
+            edges.map(([a, b]) => {
+              const key = edgeKey(a, b)
+              if (!pointIndices.has(key)) {
+                const t = values[a] / (values[a] - values[b])
+                const p = point(a)
+                const q = point(b)
+                pointIndices.set(key, points.length)
+                points.push(p.map((c, k) => c + t * (q[k] - c)))
+              }
+              return pointIndices.get(key)
+            })
+          )
+      })
+    }
+
+    this.prepareParts()
+    Object.values(this.parts).forEach(({ geometry }) => {
+      if (geometry.attributes.position.count < points.length) {
+        const size = 2 * points.length
+        geometry.dispose()
+        Object.entries(geometry.attributes).forEach(([name, attribute]) =>
+          geometry.setAttribute(
+            name,
+            new BufferAttribute(
+              new Float32Array(3 * size),
+              attribute.itemSize
+            ).setUsage(DynamicDrawUsage)
+          )
+        )
+      }
+    })
+    polygons.forEach(polygon => {
+      if (this.config.faces.enabled) {
+        polygon.slice(2).forEach((_, j) => {
+          this.parts.faces.indices.push(
+            polygon[0],
+            polygon[j + 1],
+            polygon[j + 2]
+          )
+        })
+      }
+      if (this.config.edges.enabled) {
+        polygon.forEach((a, j) => {
+          this.parts.edges.indices.push(a, polygon[(j + 1) % polygon.length])
+        })
+      }
+    })
+    points.forEach((p, i) => this.setPoint(i, p, {}))
+    this.updateParts(points.length)
+  }
+
+  update(hyperRenderer) {
+    if (this.shape.field) {
+      return this.updateField(hyperRenderer)
+    }
+    hyperRenderer.prepare(this.shape.vertices)
+    const { vertices, faces, cells } = this.shape
+    const epsilon = 1e-8
+    let i = 0
+    this.prepareParts()
     cells.forEach((cell, cellIndex) => {
       const pairs = []
       cell
@@ -214,47 +387,12 @@ export default class HyperSlice extends Group {
           })
         }
 
-        linkedPairs.forEach(([x, y, z], pairIndex) => {
-          Object.entries(this.parts).forEach(([type, part]) => {
-            if (this.config[type].enabled) {
-              if (this.config[type].useColors) {
-                const [r, g, b] = part
-                  .colorGetter({
-                    cell: cellIndex,
-                    pair: pairIndex,
-                    point: [x, y, z],
-                    type: `${type}-pair`,
-                  })
-                  .toArray()
-                part.geometry.attributes.color.array[3 * i] = r
-                part.geometry.attributes.color.array[3 * i + 1] = g
-                part.geometry.attributes.color.array[3 * i + 2] = b
-              }
-              part.geometry.attributes.position.array[3 * i] = x
-              part.geometry.attributes.position.array[3 * i + 1] = y
-              part.geometry.attributes.position.array[3 * i + 2] = z
-            }
-          })
+        linkedPairs.forEach((point, pairIndex) => {
+          this.setPoint(i, point, { cell: cellIndex, pair: pairIndex })
           i++
         })
       }
     })
-    Object.entries(this.parts).forEach(([type, part]) => {
-      if (this.config[type].enabled) {
-        if (type === 'points') {
-          part.geometry.setDrawRange(0, i)
-        } else {
-          part.geometry.setIndex(part.indices)
-        }
-        part.geometry.attributes.position.needsUpdate = true
-        if (this.config[type].useColors) {
-          part.geometry.attributes.color.needsUpdate = true
-        }
-        if (type === 'faces') {
-          part.geometry.computeVertexNormals()
-          part.geometry.attributes.normal.needsUpdate = true
-        }
-      }
-    })
+    this.updateParts(i)
   }
 }
@@ -0,0 +1,149 @@
+import { getRotationMatrix, slerpRotation } from './rotation'
+
+export const easings = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - (1 - t) * (1 - t) * (1 - t),
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+}
+
+const getEasing = easing => {
+  if (typeof easing === 'function') {
+    return easing
+  }
+  if (!easings[easing]) {
+    throw new Error(
+      `Unknown easing ${easing}, expected a function or one of ${Object.keys(
+        easings
+      ).join(', ')}`
+    )
+  }
+  return easings[easing]
+}
+
+// Numeric values of nested objects by dotted path
+const flatten = (values, prefix = '') =>
+  Object.entries(values).reduce(
+    (flat, [key, value]) =>
+      typeof value === 'object'
+        ? { ...flat, ...flatten(value, `${prefix}${key}.`) }
+        : { ...flat, [`${prefix}${key}`]: value },
+    {}
+  )
+
+const unflatten = flat =>
+  Object.entries(flat).reduce((values, [path, value]) => {
+    const keys = path.split('.')
+    keys
+      .slice(0, -1)
+      .reduce((object, key) => (object[key] = object[key] || {}), values)[
+      keys[keys.length - 1]
+    ] = value
+    return values
+  }, {})
+
+const setMaterialValue = (material, key, value) =>
+  (Array.isArray(material) ? material : [material]).forEach(material => {
+    if (material.uniforms && material.uniforms[key]) {
+      material.uniforms[key].value = value
+    } else {
+      material[key] = value
+    }
+  })
+
+// Keyframes are { time, easing, rotation, ...values } objects, the easing
+// being used to reach the keyframe. Each value is interpolated between the
+// keyframes defining it and held before the first and after the last one.
+// rotation is a matrix, a [left, right] quaternions pair or angles
+// in the 6 planes and is interpolated along the geodesics of SO(4)
+export default class Timeline {
+  constructor(keyframes) {
+    this.keyframes = keyframes
+      .map(({ time, easing = 'linear', rotation, ...values }) => ({
+        time,
+        easing: getEasing(easing),
+        rotation: rotation && getRotationMatrix(rotation),
+        values: flatten(values),
+      }))
+      .sort((a, b) => a.time - b.time)
+    this.duration = this.keyframes.length
+      ? this.keyframes[this.keyframes.length - 1].time
+      : 0
+  }
+
+  // Keyframes around the time defining the value
+  _interpolate(time, defines, interpolate) {
+    const keyframes = this.keyframes.filter(defines)
+    if (!keyframes.length) {
+      return
+    }
+    const next = keyframes.findIndex(keyframe => keyframe.time > time)
+    if (next === 0) {
+      return interpolate(keyframes[0], keyframes[0], 0)
+    }
+    if (next === -1) {
+      const last = keyframes[keyframes.length - 1]
+      return interpolate(last, last, 0)
+    }
+    const from = keyframes[next - 1]
+    const to = keyframes[next]
+    return interpolate(
+      from,
+      to,
+      to.easing((time - from.time) / (to.time - from.time))
+    )
+  }
+
+  // Interpolated rotation matrix and values at the time
+  valuesAt(time) {
+    const paths = [
+      ...new Set(
+        this.keyframes.map(({ values }) => Object.keys(values)).flat()
+      ),
+    ]
+    return {
+      rotation: this._interpolate(
+        time,
+        ({ rotation }) => rotation,
+        (from, to, t) =>
+          t ? slerpRotation(from.rotation, to.rotation, t) : from.rotation
+      ),
+      ...unflatten(
+        paths.reduce((flat, path) => {
+          flat[path] = this._interpolate(
+            time,
+            ({ values }) => path in values,
+            (from, to, t) =>
+              from.values[path] + (to.values[path] - from.values[path]) * t
+          )
+          return flat
+        }, {})
+      ),
+    }
+  }
+
+  // Set the renderer rotation, wSlice, fov and w and the materials of the
+  // meshes / slices at the time, then update them. Material values are
+  // given by part: { materials: { faces: { opacity: 0.5 } } }
+  apply(time, hyperRenderer, ...hyperObjects) {
+    const { rotation, materials = {}, ...values } = this.valuesAt(time)
+    if (rotation) {
+      hyperRenderer.matrix = rotation
+    }
+    ;['wSlice', 'fov', 'w'].forEach(key => {
+      if (values[key] !== undefined) {
+        hyperRenderer[key] = values[key]
+      }
+    })
+    hyperObjects.forEach(hyperObject => {
+      Object.entries(materials).forEach(([type, material]) => {
+        if (hyperObject.config[type]) {
+          Object.entries(material).forEach(([key, value]) =>
+            setMaterialValue(hyperObject.config[type].material, key, value)
+          )
+        }
+      })
+      hyperObject.update(hyperRenderer)
+    })
+  }
+}
@@ -1,4 +1,6 @@
 import { Color } from 'three'
+import { findSymmetryGroup, shapeOrbits } from './coxeter'
+import { getBounds } from './statistics'
 
 export const uniformColors =
   ({ colors }) =>
@@ -13,15 +15,34 @@ export const cellColors =
   ({ cell }) =>
     colors[(cell || 0) % colors.length]
 
+// Color congruent cells alike, the orbits being computed once per shape
+// with the given Coxeter group (or the one with the most symmetries)
+export const symmetryColors = group => {
+  const orbits = new WeakMap()
+  return ({ shape, colors }) => {
+    // Subdivided shapes share the cells of their source
+    const source = shape.source || shape
+    if (!orbits.has(source)) {
+      orbits.set(
+        source,
+        shapeOrbits(source, group || findSymmetryGroup(source), 'cells')
+      )
+    }
+    const cellOrbits = orbits.get(source)
+    return ({ cell }) => colors[cellOrbits[cell || 0] % colors.length]
+  }
+}
+
 export const faceColors =
   ({ colors }) =>
   ({ cell, face, type }) =>
     colors[((face !== undefined ? face : cell) || 0) % colors.length]
 
 export const wDepthColors = ({ shape, colors }) => {
-  const ws = shape.vertices.map(([, , , w]) => w)
-  const wmin = Math.min(...ws)
-  const wmax = Math.max(...ws)
+  const {
+    min: [, , , wmin],
+    max: [, , , wmax],
+  } = getBounds(shape.vertices)
   return ({ vertex }) =>
     vertex !== undefined
       ? new Color().lerpColors(
@@ -33,18 +54,10 @@ export const wDepthColors = ({ shape, colors }) => {
 }
 
 export const depthColors = ({ shape, colors }) => {
-  const xs = shape.vertices.map(([x]) => x)
-  const ys = shape.vertices.map(([, y]) => y)
-  const zs = shape.vertices.map(([, , z]) => z)
-  const ws = shape.vertices.map(([, , , w]) => w)
-  const xmin = Math.min(...xs)
-  const xmax = Math.max(...xs)
-  const ymin = Math.min(...ys)
-  const ymax = Math.max(...ys)
-  const zmin = Math.min(...zs)
-  const zmax = Math.max(...zs)
-  const wmin = Math.min(...ws)
-  const wmax = Math.max(...ws)
+  const {
+    min: [xmin, ymin, zmin, wmin],
+    max: [xmax, ymax, zmax, wmax],
+  } = getBounds(shape.vertices)
 
   return ({ vertex }) => {
     if (vertex === undefined) {
@@ -0,0 +1,181 @@
+import { applyMatrix, identity, multiply } from './helpers'
+import {
+  coxeterDiagrams,
+  getMirrors,
+  getSeed,
+  pointKey,
+} from './shapes/wythoff'
+
+// Reflection matrices I - 2nnᵀ of the mirrors
+export const getReflections = coxeterDiagram =>
+  getMirrors(coxeterDiagram).map(normal =>
+    normal.map((a, i) => normal.map((b, j) => (i === j ? 1 : 0) - 2 * a * b))
+  )
+
+const groups = new Map()
+
+// Each element of the group is identified by the image of a point
+// inside the fundamental chamber, which is only fixed by the identity
+export const generateCoxeterGroup = coxeterDiagram => {
+  const cacheKey = JSON.stringify(coxeterDiagram)
+  if (groups.has(cacheKey)) {
+    return groups.get(cacheKey)
+  }
+  const mirrors = getMirrors(coxeterDiagram)
+  const reflections = getReflections(coxeterDiagram)
+  const seed = getSeed(
+    mirrors,
+    mirrors.map(() => 1)
+  )
+  const elements = [identity(mirrors.length)]
+  const keys = new Set([pointKey(seed)])
+  for (let i = 0; i < elements.length; i++) {
+    reflections.forEach(reflection => {
+      const element = multiply(reflection, elements[i])
+      const key = pointKey(applyMatrix(element, seed))
+      if (!keys.has(key)) {
+        keys.add(key)
+        elements.push(element)
+      }
+    })
+  }
+  groups.set(cacheKey, elements)
+  return elements
+}
+
+// Groups are given either as a list of matrices or as a Coxeter diagram
+const isMatrixList = group =>
+  Array.isArray(group) && Array.isArray(group[0]) && Array.isArray(group[0][0])
+
+const getGroup = group =>
+  isMatrixList(group) ? group : generateCoxeterGroup(group)
+
+export const orbit = (group, point) => {
+  const points = new Map()
+  getGroup(group).forEach(matrix => {
+    const image = applyMatrix(matrix, point)
+    points.has(pointKey(image)) || points.set(pointKey(image), image)
+  })
+  return [...points.values()]
+}
+
+export const stabilizer = (group, point) =>
+  getGroup(group).filter(
+    matrix => pointKey(applyMatrix(matrix, point)) === pointKey(point)
+  )
+
+const sortedKey = indices =>
+  indices
+    .slice()
+    .sort((a, b) => a - b)
+    .join(',')
+
+// Vertex sets of the elements of the given type
+const getElements = ({ vertices, faces, cells }, type) => {
+  if (type === 'vertices') {
+    return vertices.map((_, i) => [i])
+  }
+  if (type === 'faces') {
+    return faces
+  }
+  if (type === 'cells') {
+    return cells.map(cell => [
+      ...new Set(cell.map(faceIndex => faces[faceIndex]).flat()),
+    ])
+  }
+  throw new Error(
+    `Unknown element type ${type}, expected one of vertices, faces, cells`
+  )
+}
+
+// Vertex permutation induced by the matrix,
+// null when the matrix does not map the shape onto itself
+const vertexPermutation = ({ vertices }, vertexIndices, matrix) => {
+  const permutation = []
+  for (let i = 0; i < vertices.length; i++) {
+    const image = vertexIndices.get(pointKey(applyMatrix(matrix, vertices[i])))
+    if (image === undefined) {
+      return null
+    }
+    permutation.push(image)
+  }
+  return permutation
+}
+
+// Symmetries of the shape in the group with their vertex permutations,
+// only the mirror reflections are kept when they are all symmetries
+// since they generate the whole group
+const getGenerators = (shape, group) => {
+  const vertexIndices = new Map(shape.vertices.map((p, i) => [pointKey(p), i]))
+  const withPermutations = matrices =>
+    matrices
+      .map(matrix => ({
+        matrix,
+        permutation: vertexPermutation(shape, vertexIndices, matrix),
+      }))
+      .filter(({ permutation }) => permutation)
+  if (!isMatrixList(group)) {
+    const reflections = withPermutations(getReflections(group))
+    if (reflections.length === getMirrors(group).length) {
+      return { generators: reflections, all: true }
+    }
+  }
+  return { generators: withPermutations(getGroup(group)), all: false }
+}
+
+// Group elements mapping the shape onto itself
+export const shapeSymmetries = (shape, group) => {
+  const { generators, all } = getGenerators(shape, group)
+  return all ? getGroup(group) : generators.map(({ matrix }) => matrix)
+}
+
+// Index of the symmetry orbit of each element of the given type,
+// orbits being numbered in order of appearance
+export const shapeOrbits = (shape, group, type = 'cells') => {
+  const elements = getElements(shape, type)
+  const keys = new Map(elements.map((element, i) => [sortedKey(element), i]))
+  const permutations = getGenerators(shape, group).generators.map(
+    ({ permutation }) =>
+      elements.map(element =>
+        keys.get(sortedKey(element.map(vertex => permutation[vertex])))
+      )
+  )
+  const orbits = new Array(elements.length).fill(-1)
+  let count = 0
+  orbits.forEach((_, start) => {
+    if (orbits[start] !== -1) {
+      return
+    }
+    orbits[start] = count
+    const stack = [start]
+    while (stack.length) {
+      const element = stack.pop()
+      permutations.forEach(permutation => {
+        const image = permutation[element]
+        if (orbits[image] === -1) {
+          orbits[image] = count
+          stack.push(image)
+        }
+      })
+    }
+    count++
+  })
+  return orbits
+}
+
+// Symmetries of the shape leaving the given element in place
+export const shapeStabilizer = (shape, group, type, index) => {
+  const points = getElements(shape, type)[index].map(
+    vertex => shape.vertices[vertex]
+  )
+  const keys = new Set(points.map(pointKey))
+  return shapeSymmetries(shape, group).filter(matrix =>
+    points.every(p => keys.has(pointKey(applyMatrix(matrix, p))))
+  )
+}
+
+// Coxeter group with the most symmetries of the shape
+export const findSymmetryGroup = shape =>
+  Object.keys(coxeterDiagrams)
+    .map(name => ({ name, count: shapeSymmetries(shape, name).length }))
+    .reduce((best, group) => (group.count > best.count ? group : best)).name
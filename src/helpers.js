@@ -1,11 +1,476 @@
-export const normalizeShape = (shape, base = 1) => {
-  const max = Math.max(
-    ...shape.vertices.map(p => Math.sqrt(p.reduce((s, c) => s + c * c, 0)))
+export const dot = (a, b) => a.reduce((s, c, i) => s + c * b[i], 0)
+export const add = (a, b) => a.map((c, i) => c + b[i])
+export const sub = (a, b) => a.map((c, i) => c - b[i])
+export const scale = (a, s) => a.map(c => c * s)
+export const norm = a => Math.sqrt(dot(a, a))
+export const normalize = a => scale(a, 1 / norm(a))
+export const centroid = points =>
+  scale(
+    points.reduce((s, p) => add(s, p)),
+    1 / points.length
   )
-  const scale = base / max
+
+// Project out the components of p along the orthonormal basis
+export const orthogonalize = (p, basis) =>
+  basis.reduce((r, b) => sub(r, scale(b, dot(r, b))), p)
+
+export const applyMatrix = (matrix, p) => matrix.map(row => dot(row, p))
+
+export const multiply = (a, b) =>
+  a.map(row => b[0].map((_, j) => row.reduce((s, c, k) => s + c * b[k][j], 0)))
+
+export const identity = n =>
+  new Array(n)
+    .fill()
+    .map((_, i) => new Array(n).fill().map((_, j) => +(i === j)))
+
+export const det3 = ([a, b, c], [d, e, f], [g, h, i]) =>
+  a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g)
+
+// Vector orthogonal to u, v and w
+export const cross4 = (u, v, w) =>
+  [0, 1, 2, 3].map(
+    i =>
+      (i % 2 ? -1 : 1) *
+      det3(...[u, v, w].map(x => x.filter((_, j) => j !== i)))
+  )
+
+// Orthonormal basis of the space spanned by the vectors
+export const span = (vectors, epsilon = 1e-9) => {
+  const basis = []
+  vectors.forEach(vector => {
+    const residual = orthogonalize(vector, basis)
+    if (norm(residual) > epsilon) {
+      basis.push(normalize(residual))
+    }
+  })
+  return basis
+}
+
+export const rank = (vectors, epsilon = 1e-9) => span(vectors, epsilon).length
+
+// Sort the vertices of a planar polygon by angle around its center
+export const sortFace = (face, vertices) => {
+  const center = centroid(face.map(i => vertices[i]))
+  const u = normalize(sub(vertices[face[0]], center))
+  const v = normalize(
+    face
+      .map(i => orthogonalize(sub(vertices[i], center), [u]))
+      .reduce((best, r) => (norm(r) > norm(best) ? r : best))
+  )
+  const angles = new Map(
+    face.map(i => {
+      const p = sub(vertices[i], center)
+      return [i, Math.atan2(dot(p, v), dot(p, u))]
+    })
+  )
+  return face.slice().sort((a, b) => angles.get(a) - angles.get(b))
+}
+
+export const edgeKey = (a, b) => (a < b ? `${a},${b}` : `${b},${a}`)
+
+// Relative direction of the edge a b in the face: 1 if the face
+// goes from a to b, -1 if it goes from b to a
+const edgeDirection = (face, a, b) =>
+  face[(face.indexOf(a) + 1) % face.length] === b ? 1 : -1
+
+// Orientation of the faces of a closed cell, 1 or -1 relative to their
+// vertex order, making each edge run in opposite directions in its 2 faces,
+// null when the cell is not closed or not orientable
+export const orientCell = (faces, cell) => {
+  const edgeFaces = new Map()
+  cell.forEach(f =>
+    faces[f].forEach((a, i) => {
+      const key = edgeKey(a, faces[f][(i + 1) % faces[f].length])
+      edgeFaces.has(key) ? edgeFaces.get(key).push(f) : edgeFaces.set(key, [f])
+    })
+  )
+  if ([...edgeFaces.values()].some(fs => fs.length !== 2)) {
+    return null
+  }
+  const orientations = new Map()
+  for (const start of cell) {
+    if (orientations.has(start)) {
+      continue
+    }
+    orientations.set(start, 1)
+    const stack = [start]
+    while (stack.length) {
+      const f = stack.pop()
+      for (let i = 0; i < faces[f].length; i++) {
+        const a = faces[f][i]
+        const b = faces[f][(i + 1) % faces[f].length]
+        const g = edgeFaces.get(edgeKey(a, b)).find(x => x !== f)
+        const orientation =
+          -orientations.get(f) *
+          edgeDirection(faces[f], a, b) *
+          edgeDirection(faces[g], a, b)
+        if (!orientations.has(g)) {
+          orientations.set(g, orientation)
+          stack.push(g)
+        } else if (orientations.get(g) !== orientation) {
+          return null
+        }
+      }
+    }
+  }
+  return orientations
+}
+
+// Orientation of the cells, 1 or -1 relative to their face orientations,
+// so that each face shared by 2 cells gets opposite orientations from them,
+// null when the shape is not orientable
+export const orientCells = (cells, cellOrientations) => {
+  const faceCells = new Map()
+  cells.forEach((cell, c) =>
+    cell.forEach(f =>
+      faceCells.has(f) ? faceCells.get(f).push(c) : faceCells.set(f, [c])
+    )
+  )
+  const signs = cells.map(() => 0)
+  for (let start = 0; start < cells.length; start++) {
+    if (signs[start]) {
+      continue
+    }
+    signs[start] = 1
+    const stack = [start]
+    while (stack.length) {
+      const c = stack.pop()
+      for (const f of cells[c]) {
+        if (faceCells.get(f).length !== 2) {
+          continue
+        }
+        const d = faceCells.get(f).find(x => x !== c)
+        const sign =
+          -signs[c] * cellOrientations[c].get(f) * cellOrientations[d].get(f)
+        if (!signs[d]) {
+          signs[d] = sign
+          stack.push(d)
+        } else if (signs[d] !== sign) {
+          return null
+        }
+      }
+    }
+  }
+  return signs
+}
+
+const permutations = items =>
+  items.length
+    ? items
+        .map((item, i) =>
+          permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(
+            rest => [item, ...rest]
+          )
+        )
+        .flat()
+    : [[]]
+
+// Regular sampling grid, bounds and resolution being given either for all
+// the axes or per axis
+export const createGrid = (bounds, resolution, dimension) => {
+  const axes = new Array(dimension).fill().map((_, i) => ({
+    bound: Array.isArray(bounds[0]) ? bounds[i] : bounds,
+    steps: Array.isArray(resolution) ? resolution[i] : resolution,
+  }))
+  const sizes = axes.map(({ steps }) => steps + 1)
+  const strides = sizes.reduce(
+    (strides, size, i) => [...strides, strides[i] * size],
+    [1]
+  )
+  return {
+    count: strides[dimension],
+    point: index =>
+      axes.map(
+        ({ bound: [min, max], steps }, i) =>
+          min +
+          ((Math.floor(index / strides[i]) % sizes[i]) * (max - min)) / steps
+      ),
+    // Indices of the corners of the grid cube starting at origin,
+    // or null on the upper boundary of the grid
+    corners: origin =>
+      axes.some(
+        (_, i) => Math.floor(origin / strides[i]) % sizes[i] === sizes[i] - 1
+      )
+        ? null
+        : new Array(1 << dimension)
+            .fill()
+            .map((_, corner) =>
+              axes.reduce(
+                (index, _, i) => index + (corner & (1 << i) ? strides[i] : 0),
+                origin
+              )
+            ),
+  }
+}
+
+// Edges of a tetrahedron crossed by the zero set of a field sampled on
+// its corners, in the order of the crossing polygon
+export const crossedEdges = (tetrahedron, values) => {
+  const inside = tetrahedron.filter(a => values[a] < 0)
+  const outside = tetrahedron.filter(a => values[a] >= 0)
+  if (!inside.length || !outside.length) {
+    return null
+  }
+  if (inside.length === 2) {
+    return [
+      [inside[0], outside[0]],
+      [inside[0], outside[1]],
+      [inside[1], outside[1]],
+      [inside[1], outside[0]],
+    ]
+  }
+  const [lone, others] =
+    inside.length === 1 ? [inside[0], outside] : [outside[0], inside]
+  return others.map(a => [lone, a])
+}
+
+// Kuhn triangulation of the unit hypercube of the given dimension,
+// walking from the 0 corner to the 1 corner one axis at a time,
+// corners being given as bit masks of their coordinates
+export const kuhnSimplices = dimension =>
+  permutations(new Array(dimension).fill().map((_, i) => i)).map(axes =>
+    axes.reduce(
+      (simplex, axis) => [
+        ...simplex,
+        simplex[simplex.length - 1] | (1 << axis),
+      ],
+      [0]
+    )
+  )
+
+export const dual = ({ vertices, faces, cells }) => {
+  const faceCells = faces.map(() => [])
+  cells.forEach((cell, cellIndex) =>
+    cell.forEach(faceIndex => faceCells[faceIndex].push(cellIndex))
+  )
+  faceCells.forEach((adjacent, faceIndex) => {
+    if (adjacent.length !== 2) {
+      throw new Error(
+        `Face ${faceIndex} belongs to ${adjacent.length} cells instead of 2, only closed shapes have a dual`
+      )
+    }
+  })
+
+  const edges = new Map()
+  faces.forEach((face, faceIndex) =>
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length]
+      const key = edgeKey(a, b)
+      edges.has(key) || edges.set(key, { vertices: [a, b], faces: [] })
+      edges.get(key).faces.push(faceIndex)
+    })
+  )
+
+  // Each edge becomes a face linking the cells around it,
+  // walking from cell to cell through the faces sharing the edge
+  const dualFaces = []
+  const vertexCells = vertices.map(() => [])
+  edges.forEach(edge => {
+    const dualFace = []
+    let face = edge.faces[0]
+    let cell = faceCells[face][0]
+    do {
+      dualFace.push(cell)
+      const current = face
+      face = edge.faces.find(f => f !== current && faceCells[f].includes(cell))
+      cell = faceCells[face].find(c => c !== cell)
+    } while (face !== edge.faces[0])
+    dualFaces.push(dualFace)
+    edge.vertices.forEach(v => vertexCells[v].push(dualFaces.length - 1))
+  })
+
+  return {
+    vertices: cells.map(cell =>
+      centroid(
+        [...new Set(cell.map(f => faces[f]).flat())].map(v => vertices[v])
+      )
+    ),
+    faces: dualFaces,
+    cells: vertexCells,
+  }
+}
+
+// Shape generating its vertices, faces and cells on first access,
+// for presets too costly to build when the module is imported
+export const lazyShape = generate => {
+  let shape
+  return ['vertices', 'faces', 'cells'].reduce(
+    (lazy, key) =>
+      Object.defineProperty(lazy, key, {
+        get: () => (shape = shape || generate())[key],
+        enumerable: true,
+      }),
+    {}
+  )
+}
+
+export const convexHull4D = (points, epsilon = 1e-9) => {
+  // Find 5 affinely independent points for the initial simplex
+  const origin = points[0]
+  const size = Math.max(...points.map(p => norm(sub(p, origin))))
+  const tolerance = epsilon * Math.max(size, 1)
+  const simplex = [0]
+  const basis = []
+  while (simplex.length < 5) {
+    let best = -1
+    let bestResidual = null
+    points.forEach((p, i) => {
+      const residual = orthogonalize(sub(p, origin), basis)
+      if (!bestResidual || norm(residual) > norm(bestResidual)) {
+        best = i
+        bestResidual = residual
+      }
+    })
+    if (norm(bestResidual) <= tolerance) {
+      throw new Error('Points must span the 4 dimensions to have a 4D hull')
+    }
+    basis.push(normalize(bestResidual))
+    simplex.push(best)
+  }
+  const interior = centroid(simplex.map(i => points[i]))
+
+  const ridges = new Map()
+  const ridgeKeys = facet =>
+    facet.vertices.map(v =>
+      facet.vertices
+        .filter(o => o !== v)
+        .sort((a, b) => a - b)
+        .join(',')
+    )
+  const distance = (facet, p) => dot(facet.normal, p) - facet.offset
+  const createFacet = vertices => {
+    const [a, b, c, d] = vertices.map(i => points[i])
+    let normal = normalize(cross4(sub(b, a), sub(c, a), sub(d, a)))
+    if (dot(normal, sub(interior, a)) > 0) {
+      normal = scale(normal, -1)
+    }
+    const facet = {
+      vertices,
+      normal,
+      offset: dot(normal, a),
+      outside: [],
+      alive: true,
+    }
+    ridgeKeys(facet).forEach(key => {
+      ridges.has(key) ? ridges.get(key).push(facet) : ridges.set(key, [facet])
+    })
+    return facet
+  }
+  const neighbor = (facet, key) => ridges.get(key).find(f => f !== facet)
+  const assign = (indices, facets) =>
+    indices.forEach(i => {
+      const facet = facets.find(f => distance(f, points[i]) > tolerance)
+      facet && facet.outside.push(i)
+    })
+
+  const facets = simplex.map(v => createFacet(simplex.filter(o => o !== v)))
+  assign(
+    points.map((_, i) => i).filter(i => !simplex.includes(i)),
+    facets
+  )
+  const stack = facets.slice()
+  while (stack.length) {
+    const facet = stack.pop()
+    if (!facet.alive || !facet.outside.length) {
+      continue
+    }
+    const apex = facet.outside.reduce((best, i) =>
+      distance(facet, points[i]) > distance(facet, points[best]) ? i : best
+    )
+    const visible = new Set([facet])
+    const queue = [facet]
+    const horizon = []
+    while (queue.length) {
+      const current = queue.pop()
+      ridgeKeys(current).forEach(key => {
+        const other = neighbor(current, key)
+        if (visible.has(other)) {
+          return
+        }
+        if (distance(other, points[apex]) > tolerance) {
+          visible.add(other)
+          queue.push(other)
+        } else {
+          horizon.push(key)
+        }
+      })
+    }
+    const orphans = []
+    visible.forEach(v => {
+      v.alive = false
+      orphans.push(...v.outside.filter(i => i !== apex))
+      ridgeKeys(v).forEach(key => {
+        const remaining = ridges.get(key).filter(f => f !== v)
+        remaining.length ? ridges.set(key, remaining) : ridges.delete(key)
+      })
+    })
+    const created = horizon.map(key =>
+      createFacet([...key.split(',').map(Number), apex])
+    )
+    assign(orphans, created)
+    facets.push(...created)
+    stack.push(...created)
+  }
+
+  // Merge coplanar simplicial facets into cells
+  const alive = facets.filter(f => f.alive)
+  const parents = new Map(alive.map(f => [f, f]))
+  const find = f => (parents.get(f) === f ? f : find(parents.get(f)))
+  ridges.forEach(([f, g], key) => {
+    const opposite = g.vertices.find(v => !key.split(',').includes(`${v}`))
+    if (Math.abs(distance(f, points[opposite])) <= tolerance) {
+      parents.set(find(f), find(g))
+    }
+  })
+  const groups = new Map()
+  alive.forEach(f => {
+    const root = find(f)
+    groups.has(root) ||
+      groups.set(root, { normal: root.normal, vertices: new Set() })
+    f.vertices.forEach(v => groups.get(root).vertices.add(v))
+  })
+  const cellGroups = [...groups.values()]
+
+  // Keep only extreme points, those lying on cells spanning the 4 dimensions
+  const vertexCells = new Map()
+  cellGroups.forEach(group =>
+    group.vertices.forEach(v => {
+      vertexCells.has(v) || vertexCells.set(v, [])
+      vertexCells.get(v).push(group.normal)
+    })
+  )
+  const kept = [...vertexCells.keys()]
+    .filter(v => rank(vertexCells.get(v), epsilon) === 4)
+    .sort((a, b) => a - b)
+  const vertexIndices = new Map(kept.map((v, i) => [v, i]))
+  const vertices = kept.map(v => points[v])
+
+  // Faces are the intersections of adjacent cells
+  const faces = []
+  const cells = cellGroups.map(() => [])
+  const cellIndices = new Map(cellGroups.map((group, i) => [group, i]))
+  const facePairs = new Set()
+  ridges.forEach(([f, g]) => {
+    const a = cellIndices.get(groups.get(find(f)))
+    const b = cellIndices.get(groups.get(find(g)))
+    const pair = a < b ? `${a},${b}` : `${b},${a}`
+    if (a === b || facePairs.has(pair)) {
+      return
+    }
+    facePairs.add(pair)
+    const face = [...cellGroups[a].vertices]
+      .filter(v => cellGroups[b].vertices.has(v) && vertexIndices.has(v))
+      .map(v => vertexIndices.get(v))
+    faces.push(sortFace(face, vertices))
+    cells[a].push(faces.length - 1)
+    cells[b].push(faces.length - 1)
+  })
+
   return {
-    ...shape,
-    vertices: shape.vertices.map(p => p.map(c => c * scale)),
+    vertices,
+    faces,
+    cells,
   }
 }
 
@@ -2,6 +2,9 @@ import HyperMesh from './HyperMesh'
 import HyperRenderer from './HyperRenderer'
 import HyperRendererCached from './HyperRendererCached'
 import HyperSlice from './HyperSlice'
+import HyperCamera from './HyperCamera'
+import Timeline, { easings } from './Timeline'
+import { slerpRotation } from './rotation'
 import * as shapes from './shapes'
 import {
   uniformColors,
@@ -9,19 +12,75 @@ import {
   faceColors,
   wDepthColors,
   depthColors,
+  symmetryColors,
 } from './colorGenerators'
-import { normalizeShape } from './helpers'
+import { applyMatrix, convexHull4D, dual } from './helpers'
+import { normalizeShape, getNormalization } from './normalize'
+import { truncate, rectify, cantellate, runcinate } from './operators'
+import {
+  generateCoxeterGroup,
+  getReflections,
+  orbit,
+  stabilizer,
+  shapeSymmetries,
+  shapeOrbits,
+  shapeStabilizer,
+  findSymmetryGroup,
+} from './coxeter'
+import { validateShape } from './validation'
+import { shapeStatistics, getBounds, polygonArea } from './statistics'
+import { getTopology } from './topology'
+import { orientShape } from './orientation'
+import { subdivideShape } from './subdivide'
+import {
+  leftIsoclinic,
+  rightIsoclinic,
+  quaternionsToMatrix,
+  matrixToQuaternions,
+} from './quaternions'
 
 export {
   HyperMesh,
   HyperRenderer,
   HyperRendererCached,
   HyperSlice,
+  HyperCamera,
+  Timeline,
+  easings,
+  slerpRotation,
   normalizeShape,
+  getNormalization,
+  convexHull4D,
+  dual,
+  truncate,
+  rectify,
+  cantellate,
+  runcinate,
+  validateShape,
+  shapeStatistics,
+  getBounds,
+  polygonArea,
+  getTopology,
+  orientShape,
+  subdivideShape,
+  leftIsoclinic,
+  rightIsoclinic,
+  quaternionsToMatrix,
+  matrixToQuaternions,
+  generateCoxeterGroup,
+  getReflections,
+  applyMatrix,
+  orbit,
+  stabilizer,
+  shapeSymmetries,
+  shapeOrbits,
+  shapeStabilizer,
+  findSymmetryGroup,
   uniformColors,
   cellColors,
   faceColors,
   wDepthColors,
   depthColors,
+  symmetryColors,
   shapes,
 }
@@ -0,0 +1,76 @@
+import { add, edgeKey, norm, scale, sub } from './helpers'
+import { getBounds, shapeStatistics } from './statistics'
+
+const centers = {
+  origin: ({ vertices }) => vertices[0].map(() => 0),
+  centroid: shape => shapeStatistics(shape).centroid,
+  bounds: ({ vertices }) => {
+    const { min, max } = getBounds(vertices)
+    return scale(add(min, max), 1 / 2)
+  },
+}
+
+// Scale bringing the measure of the centered shape to base
+const fits = {
+  radius: ({ vertices }, center, base) =>
+    base / Math.max(...vertices.map(p => norm(sub(p, center)))),
+  bounds: ({ vertices }, center, base) => {
+    const { min, max } = getBounds(vertices)
+    return (
+      base / Math.max(...center.map((c, i) => Math.max(c - min[i], max[i] - c)))
+    )
+  },
+  edge: ({ vertices, faces }, center, base) => {
+    const edges = new Map()
+    faces.forEach(face =>
+      face.forEach((a, i) => {
+        const b = face[(i + 1) % face.length]
+        edges.set(edgeKey(a, b), norm(sub(vertices[a], vertices[b])))
+      })
+    )
+    const lengths = [...edges.values()]
+    return base / (lengths.reduce((s, l) => s + l, 0) / lengths.length)
+  },
+  hypervolume: (shape, center, base) => {
+    const { hypervolume } = shapeStatistics(shape)
+    if (!hypervolume) {
+      throw new Error(
+        'Shape has no hypervolume, only closed and orientable shapes can be fitted by hypervolume'
+      )
+    }
+    return Math.pow(base / hypervolume, 1 / 4)
+  },
+}
+
+const check = (options, name, value) => {
+  if (!options[value]) {
+    throw new Error(
+      `Unknown ${name} ${value}, expected one of ${Object.keys(options).join(
+        ', '
+      )}`
+    )
+  }
+}
+
+// Transform applied by normalizeShape: p => (p - center) * scale
+export const getNormalization = (
+  shape,
+  base = 1,
+  { center = 'origin', fit = 'radius' } = {}
+) => {
+  check(centers, 'center', center)
+  check(fits, 'fit', fit)
+  const centerPoint = centers[center](shape)
+  return {
+    center: centerPoint,
+    scale: fits[fit](shape, centerPoint, base),
+  }
+}
+
+export const normalizeShape = (shape, base = 1, options) => {
+  const { center, scale: s } = getNormalization(shape, base, options)
+  return {
+    ...shape,
+    vertices: shape.vertices.map(p => scale(sub(p, center), s)),
+  }
+}
@@ -0,0 +1,256 @@
+import { add, centroid, edgeKey, scale } from './helpers'
+
+// A flag is a [vertex, edge, face, cell] chain of incident elements,
+// flags[i] gives for each flag the flag differing only by its rank i element
+const getFlags = ({ vertices, faces, cells }) => {
+  const edges = []
+  const edgeIndices = new Map()
+  const faceEdges = new Map()
+  faces.forEach((face, faceIndex) =>
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length]
+      if (!edgeIndices.has(edgeKey(a, b))) {
+        edgeIndices.set(edgeKey(a, b), edges.length)
+        edges.push([a, b])
+      }
+      const edge = edgeIndices.get(edgeKey(a, b))
+      ;[a, b].forEach(v => {
+        const key = `${faceIndex},${v}`
+        faceEdges.has(key)
+          ? faceEdges.get(key).push(edge)
+          : faceEdges.set(key, [edge])
+      })
+    })
+  )
+  const faceCells = faces.map(() => [])
+  const cellEdgeFaces = new Map()
+  cells.forEach((cell, cellIndex) =>
+    cell.forEach(faceIndex => {
+      faceCells[faceIndex].push(cellIndex)
+      faces[faceIndex].forEach((a, i) => {
+        const key = `${cellIndex},${edgeIndices.get(
+          edgeKey(a, faces[faceIndex][(i + 1) % faces[faceIndex].length])
+        )}`
+        cellEdgeFaces.has(key)
+          ? cellEdgeFaces.get(key).push(faceIndex)
+          : cellEdgeFaces.set(key, [faceIndex])
+      })
+    })
+  )
+
+  const flags = []
+  const flagIndices = new Map()
+  cells.forEach((cell, c) =>
+    cell.forEach(f =>
+      faces[f].forEach((a, i) => {
+        const e = edgeIndices.get(
+          edgeKey(a, faces[f][(i + 1) % faces[f].length])
+        )
+        edges[e].forEach(v => {
+          flagIndices.set(`${v},${e},${f},${c}`, flags.length)
+          flags.push([v, e, f, c])
+        })
+      })
+    )
+  )
+
+  const other = (elements, element, description) => {
+    const found = (elements || []).filter(x => x !== element)
+    if (found.length !== 1) {
+      throw new Error(
+        `${description} is not shared by exactly 2 elements, only closed shapes can be operated on`
+      )
+    }
+    return found[0]
+  }
+  const adjacent = [
+    ([v, e, f, c]) => [other(edges[e], v, `Edge ${e}`), e, f, c],
+    ([v, e, f, c]) => [
+      v,
+      other(faceEdges.get(`${f},${v}`), e, `Vertex ${v} of face ${f}`),
+      f,
+      c,
+    ],
+    ([v, e, f, c]) => [
+      v,
+      e,
+      other(cellEdgeFaces.get(`${c},${e}`), f, `Edge ${e} of cell ${c}`),
+      c,
+    ],
+    ([v, e, f, c]) => [v, e, f, other(faceCells[f], c, `Face ${f}`)],
+  ].map(operation =>
+    flags.map(flag => flagIndices.get(operation(flag).join(',')))
+  )
+
+  const edgeCenters = edges.map(edge => centroid(edge.map(v => vertices[v])))
+  const faceCenters = faces.map(face => centroid(face.map(v => vertices[v])))
+  const cellCenters = cells.map(cell =>
+    centroid([...new Set(cell.map(f => faces[f]).flat())].map(v => vertices[v]))
+  )
+  return {
+    flags,
+    adjacent,
+    centers: [vertices, edgeCenters, faceCenters, cellCenters],
+  }
+}
+
+// Label each flag by its connected component through the given ranks
+const components = (flags, adjacent, ranks) => {
+  const labels = new Array(flags.length).fill(-1)
+  let count = 0
+  flags.forEach((_, start) => {
+    if (labels[start] !== -1) {
+      return
+    }
+    labels[start] = count
+    const stack = [start]
+    while (stack.length) {
+      const flag = stack.pop()
+      ranks.forEach(rank => {
+        const next = adjacent[rank][flag]
+        if (labels[next] === -1) {
+          labels[next] = count
+          stack.push(next)
+        }
+      })
+    }
+    count++
+  })
+  return { labels, count }
+}
+
+const subsets = (ranks, size) =>
+  size === 0
+    ? [[]]
+    : ranks
+        .map((rank, i) =>
+          subsets(ranks.slice(i + 1), size - 1).map(rest => [rank, ...rest])
+        )
+        .flat()
+
+// Generalized Wythoff construction on the flags of a shape:
+// weights gives for each rank (vertex, edge, face, cell) the weight of
+// the element center in the new vertices, non zero weights being the ringed nodes
+const wythoffian = (shape, weights) => {
+  const { flags, adjacent, centers } = getFlags(shape)
+  const ranks = [0, 1, 2, 3]
+  const ringed = ranks.map(rank => !!weights[rank])
+  // Each connected part of the linear diagram must contain a ringed node
+  const isActive = nodes =>
+    nodes.every((node, i) => {
+      let start = i
+      while (start > 0 && nodes[start - 1] === nodes[start] - 1) {
+        start--
+      }
+      let end = i
+      while (end < nodes.length - 1 && nodes[end + 1] === nodes[end] + 1) {
+        end++
+      }
+      return nodes.slice(start, end + 1).some(n => ringed[n])
+    })
+  // Ranks leaving the face of type nodes unchanged
+  const stabilizer = nodes => [
+    ...nodes,
+    ...ranks.filter(
+      rank =>
+        !nodes.includes(rank) &&
+        !ringed[rank] &&
+        nodes.every(node => Math.abs(node - rank) > 1)
+    ),
+  ]
+
+  const total = weights.reduce((s, w) => s + (w || 0), 0)
+  const vertexComponents = components(flags, adjacent, stabilizer([]))
+  const vertices = new Array(vertexComponents.count)
+  vertexComponents.labels.forEach((label, flag) => {
+    if (!vertices[label]) {
+      vertices[label] = ranks
+        .filter(rank => ringed[rank])
+        .reduce(
+          (p, rank) =>
+            add(
+              p,
+              scale(centers[rank][flags[flag][rank]], weights[rank] / total)
+            ),
+          new Array(centers[0][0].length).fill(0)
+        )
+    }
+  })
+
+  const faces = []
+  const faceTypes = {}
+  subsets(ranks, 2)
+    .filter(isActive)
+    .forEach(([i, j]) => {
+      const { labels, count } = components(flags, adjacent, stabilizer([i, j]))
+      const offset = faces.length
+      const starts = new Array(count)
+      labels.forEach((label, flag) => {
+        starts[label] === undefined && (starts[label] = flag)
+      })
+      // Walking the flags alternating i and j keeps the cycle order
+      starts.forEach(start => {
+        const face = []
+        let flag = start
+        let step = 0
+        do {
+          const vertex = vertexComponents.labels[flag]
+          vertex !== face[face.length - 1] &&
+            vertex !== face[0] &&
+            face.push(vertex)
+          flag = adjacent[step++ % 2 ? j : i][flag]
+        } while (flag !== start || step % 2)
+        faces.push(face)
+      })
+      faceTypes[[i, j]] = { labels, offset }
+    })
+
+  const cells = []
+  subsets(ranks, 3)
+    .filter(isActive)
+    .forEach(nodes => {
+      const { labels, count } = components(flags, adjacent, stabilizer(nodes))
+      const cellFaces = new Array(count).fill().map(() => new Set())
+      subsets(nodes, 2)
+        .filter(sub => faceTypes[sub])
+        .forEach(sub => {
+          const { labels: faceLabels, offset } = faceTypes[sub]
+          labels.forEach((label, flag) =>
+            cellFaces[label].add(offset + faceLabels[flag])
+          )
+        })
+      cells.push(...cellFaces.map(cell => [...cell]))
+    })
+
+  return {
+    vertices,
+    faces,
+    cells,
+  }
+}
+
+// Ratios outside the range give negative weights, folding the new vertices.
+// At 0 the shape is unchanged and at the maximum only the edge, face or cell
+// centers remain (the rectification for the truncation)
+const checkRatio = (operator, t, max) => {
+  if (!(t >= 0 && t <= max)) {
+    throw new Error(`${operator} ratio must be between 0 and ${max}, got ${t}`)
+  }
+}
+
+export const truncate = (shape, t = 1 / 3) => {
+  checkRatio('Truncation', t, 1 / 2)
+  return t ? wythoffian(shape, [1 - 2 * t, 2 * t, 0, 0]) : shape
+}
+
+export const rectify = shape => wythoffian(shape, [0, 1, 0, 0])
+
+export const cantellate = (shape, t = 1 / 2) => {
+  checkRatio('Cantellation', t, 1)
+  return t ? wythoffian(shape, [1 - t, 0, t, 0]) : shape
+}
+
+export const runcinate = (shape, t = 1 / 2) => {
+  checkRatio('Runcination', t, 1)
+  return t ? wythoffian(shape, [1 - t, 0, 0, t]) : shape
+}
@@ -0,0 +1,111 @@
+import {
+  add,
+  centroid,
+  cross4,
+  det3,
+  dot,
+  normalize,
+  orientCell,
+  orientCells,
+  scale,
+  span,
+  sub,
+} from './helpers'
+
+// Volume, solid centroid and normal of a closed cell computed in the basis
+// of its hyperplane from tetrahedra joining its center to its faces.
+// Face orientations are flipped to wind the faces outward in the cell,
+// the normal completing the cell basis with the same handedness
+export const cellGeometry = ({ vertices, faces }, cell) => {
+  const indices = [...new Set(cell.map(f => faces[f]).flat())]
+  const origin = centroid(indices.map(i => vertices[i]))
+  const basis = span(indices.map(i => sub(vertices[i], origin)))
+  const orientations = orientCell(faces, cell)
+  // Open cells or cells not lying in a hyperplane have no volume
+  if (!orientations || basis.length > 3) {
+    return { volume: null, origin, orientations: null }
+  }
+  // Degenerate cells lying in a plane have no volume and no normal
+  if (basis.length < 3) {
+    return { volume: 0, origin, orientations }
+  }
+  const local = p => basis.map(e => dot(sub(p, origin), e))
+  let volume = 0
+  let moment = [0, 0, 0]
+  cell.forEach(f => {
+    const face = faces[f].map(i => local(vertices[i]))
+    face.slice(2).forEach((_, j) => {
+      const triangle = [face[0], face[j + 1], face[j + 2]]
+      const v = (orientations.get(f) * det3(...triangle)) / 6
+      volume += v
+      moment = add(moment, scale(triangle.reduce(add), v / 4))
+    })
+  })
+  const solidCentroid = basis.reduce(
+    (p, e, i) => add(p, scale(e, moment[i] / volume)),
+    origin
+  )
+  if (volume < 0) {
+    orientations.forEach((o, f) => orientations.set(f, -o))
+  }
+  return {
+    volume: Math.abs(volume),
+    origin,
+    orientations,
+    centroid: solidCentroid,
+    normal: normalize(cross4(...basis)),
+  }
+}
+
+const orientations = new WeakMap()
+
+// Winding of the faces of each cell (1 when the face vertex order goes
+// around the outward face normal in the cell, -1 otherwise) and outward
+// unit normal of each cell, null for open, non flat or degenerate cells.
+// Normals point away from the vertex centroid when the shape
+// is not closed and orientable
+export const orientShape = shape => {
+  if (orientations.has(shape)) {
+    return orientations.get(shape)
+  }
+  const { vertices, cells = [] } = shape
+  const geometries = cells.map(cell => cellGeometry(shape, cell))
+  const vertexCentroid = centroid(vertices)
+  const signs =
+    cells.length && geometries.every(({ orientations }) => orientations)
+      ? orientCells(
+          cells,
+          geometries.map(({ orientations }) => orientations)
+        )
+      : null
+  // Sum of the cones joining the vertex centroid to the cells
+  const total = signs
+    ? geometries.reduce(
+        (s, { volume, origin, normal }, c) =>
+          normal
+            ? s + volume * signs[c] * dot(normal, sub(origin, vertexCentroid))
+            : s,
+        0
+      )
+    : 0
+
+  const orientation = {
+    orientable: !!total,
+    faceOrientations: geometries.map(({ orientations }, c) =>
+      cells[c].map(f => (orientations ? orientations.get(f) : 1))
+    ),
+    cellNormals: geometries.map(({ origin, normal }, c) => {
+      if (!normal) {
+        return null
+      }
+      if (total) {
+        return scale(normal, signs[c] * Math.sign(total))
+      }
+      return dot(normal, sub(origin, vertexCentroid)) < 0
+        ? scale(normal, -1)
+        : normal
+    }),
+  }
+  orientations.set(shape, orientation)
+  return orientation
+}
@@ -0,0 +1,60 @@
+import { Quaternion } from 'three'
+import { dot, identity, multiply, norm, scale } from './helpers'
+
+// Matrices of p => q p and p => p q on [x, y, z, w] points,
+// the point being the quaternion of real part w
+const leftMatrix = ({ x, y, z, w }) => [
+  [w, -z, y, x],
+  [z, w, -x, y],
+  [-y, x, w, z],
+  [-x, -y, -z, w],
+]
+
+const rightMatrix = ({ x, y, z, w }) => [
+  [w, z, -y, x],
+  [-z, w, x, y],
+  [y, -x, w, z],
+  [-x, -y, -z, w],
+]
+
+const basis = identity(4).map(q => new Quaternion(...q))
+
+// Rotation p => left p right
+export const quaternionsToMatrix = (left, right) =>
+  multiply(leftMatrix(left), rightMatrix(right))
+
+// Unit quaternions pair of a rotation matrix, up to a common sign.
+// The products of their components are the coordinates of the matrix
+// in the orthogonal basis of the rotations between basis quaternions
+export const matrixToQuaternions = matrix => {
+  const products = basis.map(l =>
+    basis.map(
+      r =>
+        quaternionsToMatrix(l, r).reduce(
+          (s, row, i) => row.reduce((s, c, j) => s + c * matrix[i][j], s),
+          0
+        ) / 4
+    )
+  )
+  const row = products.reduce((best, row) =>
+    norm(row) > norm(best) ? row : best
+  )
+  const right = scale(row, 1 / norm(row))
+  const left = products.map(row => dot(row, right))
+  return [
+    new Quaternion(...left).normalize(),
+    new Quaternion(...right).normalize(),
+  ]
+}
+
+// Pairs rotating every point by angle, in the planes orthogonal
+// to the axis pure quaternion and to 1 (Hopf fibration motions)
+export const leftIsoclinic = (axis, angle) => [
+  new Quaternion().setFromAxisAngle(axis.clone().normalize(), angle * 2),
+  new Quaternion(),
+]
+
+export const rightIsoclinic = (axis, angle) => [
+  new Quaternion(),
+  new Quaternion().setFromAxisAngle(axis.clone().normalize(), angle * 2),
+]
@@ -0,0 +1,100 @@
+import { Quaternion } from 'three'
+import {
+  add,
+  dot,
+  identity,
+  multiply,
+  normalize,
+  orthogonalize,
+  scale,
+  span,
+} from './helpers'
+import { matrixToQuaternions, quaternionsToMatrix } from './quaternions'
+
+const axes = identity(4)
+const planes = ['xy', 'xz', 'xw', 'yz', 'yw', 'zw']
+
+// Rotation from u toward v in the plane they span
+export const planeRotation = (u, v, angle) => {
+  const [a, b] = span([u, v])
+  if (!b) {
+    throw new Error('A rotation plane must be spanned by 2 independent vectors')
+  }
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return axes.map((row, i) =>
+    row.map(
+      (c, j) =>
+        c +
+        sin * (b[i] * a[j] - a[i] * b[j]) +
+        (cos - 1) * (a[i] * a[j] + b[i] * b[j])
+    )
+  )
+}
+
+// Rotations of the given angles in the 6 planes
+// applied in the xy, xz, xw, yz, yw, zw order
+export const planesRotation = angles =>
+  planes.reduce(
+    (matrix, plane) =>
+      angles[plane]
+        ? multiply(
+            planeRotation(
+              axes['xyzw'.indexOf(plane[0])],
+              axes['xyzw'.indexOf(plane[1])],
+              -angles[plane]
+            ),
+            matrix
+          )
+        : matrix,
+    identity(4)
+  )
+
+// Gram-Schmidt on the rows to correct the drift of composed rotations
+export const orthonormalize = matrix =>
+  matrix.reduce(
+    (basis, row) => [...basis, normalize(orthogonalize(row, basis))],
+    []
+  )
+
+// Matrix of a rotation given as a matrix, a [left, right]
+// quaternions pair or angles in the 6 planes
+export const getRotationMatrix = rotation => {
+  if (Array.isArray(rotation)) {
+    return rotation[0].isQuaternion
+      ? quaternionsToMatrix(...rotation)
+      : orthonormalize(rotation)
+  }
+  return planesRotation(rotation)
+}
+
+const angleBetween = (p, q) => Math.acos(Math.min(1, Math.max(-1, dot(p, q))))
+
+// Spherical interpolation without taking the shortest path
+const slerp = (p, q, t) => {
+  const angle = angleBetween(p, q)
+  if (angle < 1e-9) {
+    return p
+  }
+  return add(
+    scale(p, Math.sin((1 - t) * angle) / Math.sin(angle)),
+    scale(q, Math.sin(t * angle) / Math.sin(angle))
+  )
+}
+
+// Rotation at t on the geodesic of SO(4) between the rotations a and b,
+// interpolating their quaternions pairs with the lift of b
+// (pair or opposite pair) closest to the pair of a
+export const slerpRotation = (a, b, t) => {
+  const [l0, r0] = matrixToQuaternions(a).map(q => q.toArray())
+  let [l1, r1] = matrixToQuaternions(b).map(q => q.toArray())
+  const distance = (l, r) => angleBetween(l0, l) ** 2 + angleBetween(r0, r) ** 2
+  if (distance(scale(l1, -1), scale(r1, -1)) < distance(l1, r1)) {
+    l1 = scale(l1, -1)
+    r1 = scale(r1, -1)
+  }
+  return quaternionsToMatrix(
+    new Quaternion(...slerp(l0, l1, t)),
+    new Quaternion(...slerp(r0, r1, t))
+  )
+}
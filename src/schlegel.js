@@ -0,0 +1,66 @@
+import { add, centroid, cross4, dot, scale, span, sub } from './helpers'
+import { orientShape } from './orientation'
+
+const axes = [
+  [1, 0, 0, 0],
+  [0, 1, 0, 0],
+  [0, 0, 1, 0],
+  [0, 0, 0, 1],
+]
+
+const cellCenter = ({ vertices, faces }, cell) =>
+  centroid([...new Set(cell.map(f => faces[f]).flat())].map(i => vertices[i]))
+
+// Eye placed outside the cell on its outward normal and orthonormal basis
+// of the cell hyperplane. The eye is at distance times the largest height
+// from which no other cell can be seen (capped by the height of the cell
+// above the shape center). The previous basis is projected on the new
+// hyperplane to keep the diagram orientation when switching cells
+export const getSchlegelFrame = (
+  shape,
+  cellIndex,
+  distance = 0.5,
+  previousBasis = []
+) => {
+  const { cellNormals } = orientShape(shape)
+  const normal = cellNormals[cellIndex]
+  if (!normal) {
+    throw new Error(
+      `Cell ${cellIndex} has no outward normal, only closed and flat cells can be used for Schlegel diagrams`
+    )
+  }
+  const origin = cellCenter(shape, shape.cells[cellIndex])
+  const height = dot(sub(origin, centroid(shape.vertices)), normal)
+  const maxHeight = shape.cells.reduce((max, cell, c) => {
+    const n = cellNormals[c]
+    const cos = n && c !== cellIndex ? dot(normal, n) : 0
+    return cos > 1e-9
+      ? Math.min(max, dot(sub(cellCenter(shape, cell), origin), n) / cos)
+      : max
+  }, height)
+
+  const basis = span(
+    [...previousBasis, ...axes].map(v => sub(v, scale(normal, dot(v, normal))))
+  ).slice(0, 3)
+  // Keep a direct basis to avoid mirroring the diagram
+  if (dot(cross4(...basis), normal) < 0) {
+    basis[2] = scale(basis[2], -1)
+  }
+  return {
+    eye: add(origin, scale(normal, distance * maxHeight)),
+    origin,
+    normal,
+    basis,
+  }
+}
+
+// Central projection from the eye on the cell hyperplane
+// in the coordinates of its basis
+export const schlegelProject = ({ eye, origin, normal, basis }, p) => {
+  const ray = sub(p, eye)
+  const q = add(
+    eye,
+    scale(ray, dot(sub(origin, eye), normal) / dot(ray, normal))
+  )
+  return basis.map(e => dot(sub(q, origin), e))
+}
@@ -1,227 +1,4 @@
-export default {
-  vertices: [
-    [0.5393446629166316, -0.16666666666666666, 0.6030056647916492, 0.0],
-    [0.5393446629166316, 0.16666666666666666, 0.6030056647916492, 0.0],
-    [0.7060113295832983, 0.2696723314583158, 0.3333333333333333, 0.0],
-    [0.7060113295832983, -0.2696723314583158, 0.3333333333333333, 0.0],
-    [0.8090169943749475, 0.0, 0.16666666666666666, 0.0],
-    [0.2696723314583158, 0.3333333333333333, 0.7060113295832983, 0.0],
-    [0.6030056647916492, 0.5393446629166316, 0.16666666666666666, 0.0],
-    [0.16666666666666666, 0.6030056647916492, 0.5393446629166316, 0.0],
-    [0.3333333333333333, 0.7060113295832983, 0.2696723314583158, 0.0],
-    [0.2696723314583158, -0.3333333333333333, 0.7060113295832983, 0.0],
-    [0.6030056647916492, -0.5393446629166316, 0.16666666666666666, 0.0],
-    [0.16666666666666666, -0.6030056647916492, 0.5393446629166316, 0.0],
-    [0.3333333333333333, -0.7060113295832983, 0.2696723314583158, 0.0],
-    [0.0, 0.16666666666666666, 0.8090169943749475, 0.0],
-    [0.0, -0.16666666666666666, 0.8090169943749475, 0.0],
-    [-0.16666666666666666, 0.6030056647916492, 0.5393446629166316, 0.0],
-    [-0.2696723314583158, 0.3333333333333333, 0.7060113295832983, 0.0],
-    [-0.16666666666666666, -0.6030056647916492, 0.5393446629166316, 0.0],
-    [-0.2696723314583158, -0.3333333333333333, 0.7060113295832983, 0.0],
-    [-0.5393446629166316, 0.16666666666666666, 0.6030056647916492, 0.0],
-    [-0.5393446629166316, -0.16666666666666666, 0.6030056647916492, 0.0],
-    [0.8090169943749475, 0.0, -0.16666666666666666, 0.0],
-    [0.6030056647916492, 0.5393446629166316, -0.16666666666666666, 0.0],
-    [0.7060113295832983, 0.2696723314583158, -0.3333333333333333, 0.0],
-    [-0.3333333333333333, 0.7060113295832983, 0.2696723314583158, 0.0],
-    [0.16666666666666666, 0.8090169943749475, 0.0, 0.0],
-    [0.3333333333333333, 0.7060113295832983, -0.2696723314583158, 0.0],
-    [-0.16666666666666666, 0.8090169943749475, 0.0, 0.0],
-    [0.6030056647916492, -0.5393446629166316, -0.16666666666666666, 0.0],
-    [0.7060113295832983, -0.2696723314583158, -0.3333333333333333, 0.0],
-    [-0.7060113295832983, 0.2696723314583158, 0.3333333333333333, 0.0],
-    [-0.6030056647916492, 0.5393446629166316, 0.16666666666666666, 0.0],
-    [-0.3333333333333333, -0.7060113295832983, 0.2696723314583158, 0.0],
-    [0.16666666666666666, -0.8090169943749475, 0.0, 0.0],
-    [0.3333333333333333, -0.7060113295832983, -0.2696723314583158, 0.0],
-    [-0.16666666666666666, -0.8090169943749475, 0.0, 0.0],
-    [-0.7060113295832983, -0.2696723314583158, 0.3333333333333333, 0.0],
-    [-0.8090169943749475, 0.0, 0.16666666666666666, 0.0],
-    [-0.6030056647916492, -0.5393446629166316, 0.16666666666666666, 0.0],
-    [0.16666666666666666, 0.6030056647916492, -0.5393446629166316, 0.0],
-    [0.5393446629166316, 0.16666666666666666, -0.6030056647916492, 0.0],
-    [0.5393446629166316, -0.16666666666666666, -0.6030056647916492, 0.0],
-    [0.2696723314583158, 0.3333333333333333, -0.7060113295832983, 0.0],
-    [-0.3333333333333333, 0.7060113295832983, -0.2696723314583158, 0.0],
-    [-0.6030056647916492, 0.5393446629166316, -0.16666666666666666, 0.0],
-    [-0.16666666666666666, 0.6030056647916492, -0.5393446629166316, 0.0],
-    [0.16666666666666666, -0.6030056647916492, -0.5393446629166316, 0.0],
-    [0.2696723314583158, -0.3333333333333333, -0.7060113295832983, 0.0],
-    [-0.8090169943749475, 0.0, -0.16666666666666666, 0.0],
-    [-0.7060113295832983, 0.2696723314583158, -0.3333333333333333, 0.0],
-    [-0.3333333333333333, -0.7060113295832983, -0.2696723314583158, 0.0],
-    [-0.6030056647916492, -0.5393446629166316, -0.16666666666666666, 0.0],
-    [-0.16666666666666666, -0.6030056647916492, -0.5393446629166316, 0.0],
-    [-0.7060113295832983, -0.2696723314583158, -0.3333333333333333, 0.0],
-    [0.0, 0.0, 0.0, 1.0],
-    [0.0, 0.16666666666666666, -0.8090169943749475, 0.0],
-    [-0.2696723314583158, 0.3333333333333333, -0.7060113295832983, 0.0],
-    [0.0, -0.16666666666666666, -0.8090169943749475, 0.0],
-    [-0.5393446629166316, 0.16666666666666666, -0.6030056647916492, 0.0],
-    [-0.2696723314583158, -0.3333333333333333, -0.7060113295832983, 0.0],
-    [-0.5393446629166316, -0.16666666666666666, -0.6030056647916492, 0.0],
-  ],
-  faces: [
-    [54, 59, 60],
-    [54, 58, 60],
-    [55, 56, 58, 60, 59, 57],
-    [54, 57, 59],
-    [54, 56, 58],
-    [54, 55, 56],
-    [54, 55, 57],
-    [50, 51, 53, 60, 59, 52],
-    [48, 49, 58, 60, 53],
-    [46, 47, 57, 59, 52],
-    [43, 44, 49, 58, 56, 45],
-    [40, 41, 47, 57, 55, 42],
-    [39, 42, 55, 56, 45],
-    [36, 37, 48, 53, 51, 38],
-    [33, 34, 46, 52, 50, 35],
-    [32, 35, 50, 51, 38],
-    [30, 31, 44, 49, 48, 37],
-    [28, 29, 41, 47, 46, 34],
-    [25, 26, 39, 45, 43, 27],
-    [24, 27, 43, 44, 31],
-    [22, 23, 40, 42, 39, 26],
-    [21, 23, 40, 41, 29],
-    [17, 18, 20, 36, 38, 32],
-    [19, 20, 36, 37, 30],
-    [11, 12, 33, 35, 32, 17],
-    [10, 12, 33, 34, 28],
-    [15, 16, 19, 30, 31, 24],
-    [3, 4, 21, 29, 28, 10],
-    [7, 8, 25, 27, 24, 15],
-    [6, 8, 25, 26, 22],
-    [2, 4, 21, 23, 22, 6],
-    [13, 14, 18, 20, 19, 16],
-    [9, 11, 17, 18, 14],
-    [5, 7, 15, 16, 13],
-    [0, 1, 5, 13, 14, 9],
-    [0, 3, 10, 12, 11, 9],
-    [1, 2, 6, 8, 7, 5],
-    [0, 1, 2, 4, 3],
-    [53, 54, 60],
-    [52, 54, 59],
-    [51, 53, 54],
-    [50, 51, 54],
-    [50, 52, 54],
-    [49, 54, 58],
-    [48, 49, 54],
-    [48, 53, 54],
-    [47, 54, 57],
-    [46, 47, 54],
-    [46, 52, 54],
-    [45, 54, 56],
-    [44, 49, 54],
-    [43, 44, 54],
-    [43, 45, 54],
-    [42, 54, 55],
-    [41, 47, 54],
-    [40, 41, 54],
-    [40, 42, 54],
-    [39, 42, 54],
-    [39, 45, 54],
-    [38, 51, 54],
-    [37, 48, 54],
-    [36, 37, 54],
-    [36, 38, 54],
-    [35, 50, 54],
-    [34, 46, 54],
-    [33, 34, 54],
-    [33, 35, 54],
-    [32, 35, 54],
-    [32, 38, 54],
-    [31, 44, 54],
-    [30, 31, 54],
-    [30, 37, 54],
-    [29, 41, 54],
-    [28, 29, 54],
-    [28, 34, 54],
-    [27, 43, 54],
-    [26, 39, 54],
-    [25, 26, 54],
-    [25, 27, 54],
-    [24, 27, 54],
-    [24, 31, 54],
-    [23, 40, 54],
-    [22, 23, 54],
-    [22, 26, 54],
-    [21, 23, 54],
-    [21, 29, 54],
-    [20, 36, 54],
-    [19, 20, 54],
-    [19, 30, 54],
-    [17, 32, 54],
-    [17, 18, 54],
-    [18, 20, 54],
-    [15, 24, 54],
-    [15, 16, 54],
-    [16, 19, 54],
-    [14, 18, 54],
-    [13, 14, 54],
-    [13, 16, 54],
-    [12, 33, 54],
-    [11, 12, 54],
-    [11, 17, 54],
-    [10, 12, 54],
-    [10, 28, 54],
-    [9, 11, 54],
-    [9, 14, 54],
-    [8, 25, 54],
-    [7, 8, 54],
-    [7, 15, 54],
-    [6, 8, 54],
-    [6, 22, 54],
-    [5, 7, 54],
-    [5, 13, 54],
-    [4, 21, 54],
-    [3, 4, 54],
-    [3, 10, 54],
-    [2, 4, 54],
-    [2, 6, 54],
-    [0, 3, 54],
-    [0, 1, 54],
-    [1, 2, 54],
-    [0, 9, 54],
-    [1, 5, 54],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6],
-    [
-      2, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24,
-      25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37,
-    ],
-    [0, 38, 7, 39, 40, 41, 42],
-    [1, 38, 8, 43, 44, 45],
-    [3, 39, 9, 46, 47, 48],
-    [4, 43, 10, 49, 50, 51, 52],
-    [6, 46, 11, 53, 54, 55, 56],
-    [5, 49, 12, 53, 57, 58],
-    [40, 45, 13, 59, 60, 61, 62],
-    [42, 48, 14, 63, 64, 65, 66],
-    [41, 59, 15, 63, 67, 68],
-    [44, 50, 16, 60, 69, 70, 71],
-    [47, 54, 17, 64, 72, 73, 74],
-    [52, 58, 18, 75, 76, 77, 78],
-    [51, 69, 19, 75, 79, 80],
-    [56, 57, 20, 81, 76, 82, 83],
-    [55, 72, 21, 81, 84, 85],
-    [61, 71, 23, 86, 87, 88],
-    [62, 68, 22, 86, 89, 90, 91],
-    [70, 80, 26, 88, 92, 93, 94],
-    [87, 91, 31, 94, 95, 96, 97],
-    [66, 67, 24, 98, 89, 99, 100],
-    [65, 74, 25, 98, 101, 102],
-    [90, 95, 32, 100, 103, 104],
-    [78, 79, 28, 105, 92, 106, 107],
-    [77, 83, 29, 105, 108, 109],
-    [93, 97, 33, 107, 110, 111],
-    [73, 85, 27, 102, 112, 113, 114],
-    [82, 84, 30, 109, 112, 115, 116],
-    [113, 115, 37, 117, 118, 119],
-    [99, 101, 35, 103, 114, 117, 120],
-    [106, 108, 36, 110, 116, 119, 121],
-    [96, 104, 34, 111, 120, 118, 121],
-  ],
-}
+import { pyramid } from './lifts'
+import { buckyBall } from './polyhedra'
+
+export default pyramid(buckyBall, 1)
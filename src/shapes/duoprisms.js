@@ -0,0 +1,134 @@
+const createFaces = () => {
+  const faces = []
+  const keys = new Map()
+  const face = vertices => {
+    const key = vertices
+      .slice()
+      .sort((a, b) => a - b)
+      .join(',')
+    if (!keys.has(key)) {
+      keys.set(key, faces.length)
+      faces.push(vertices)
+    }
+    return keys.get(key)
+  }
+  return { faces, face }
+}
+
+const range = n => new Array(n).fill().map((_, i) => i)
+const mod = (a, n) => ((a % n) + n) % n
+
+export const generateDuoprism = (p, q, r1 = 1, r2 = 1) => {
+  const vertices = []
+  const { faces, face } = createFaces()
+  const vertex = (i, j) => (i % p) + (j % q) * p
+
+  range(q).forEach(j =>
+    range(p).forEach(i =>
+      vertices.push([
+        r1 * Math.cos((2 * Math.PI * i) / p),
+        r1 * Math.sin((2 * Math.PI * i) / p),
+        r2 * Math.cos((2 * Math.PI * j) / q),
+        r2 * Math.sin((2 * Math.PI * j) / q),
+      ])
+    )
+  )
+  const pGon = j => face(range(p).map(i => vertex(i, j)))
+  const qGon = i => face(range(q).map(j => vertex(i, j)))
+  const square = (i, j) =>
+    face([
+      vertex(i, j),
+      vertex(i + 1, j),
+      vertex(i + 1, j + 1),
+      vertex(i, j + 1),
+    ])
+
+  const cells = [
+    // p-gonal prisms
+    ...range(q).map(j => [
+      pGon(j),
+      ...range(p).map(i => square(i, j)),
+      pGon(j + 1),
+    ]),
+    // q-gonal prisms
+    ...range(p).map(i => [
+      qGon(i),
+      ...range(q).map(j => square(i, j)),
+      qGon(i + 1),
+    ]),
+  ]
+
+  return {
+    vertices,
+    faces,
+    cells,
+  }
+}
+
+export const generateDuoantiprism = (p, q, r1 = 1, r2 = 1) => {
+  const vertices = []
+  const { faces, face } = createFaces()
+  // Only vertices with i + j even exist, p of them on each row
+  const vertex = (i, j) => (mod(j, 2 * q) * 2 * p + mod(i, 2 * p)) >> 1
+
+  range(2 * q).forEach(j =>
+    range(2 * p).forEach(
+      i =>
+        (i + j) % 2 === 0 &&
+        vertices.push([
+          r1 * Math.cos((Math.PI * i) / p),
+          r1 * Math.sin((Math.PI * i) / p),
+          r2 * Math.cos((Math.PI * j) / q),
+          r2 * Math.sin((Math.PI * j) / q),
+        ])
+    )
+  )
+  const pGon = j => face(range(p).map(k => vertex((j % 2) + 2 * k, j)))
+  const qGon = i => face(range(q).map(k => vertex(i, (i % 2) + 2 * k)))
+  // Triangles joining a p-gon edge on row j to a vertex of row j ± 1
+  const pTriangle = (i, j, side) =>
+    face([vertex(i, j), vertex(i + 2, j), vertex(i + 1, j + side)])
+  // Triangles joining a q-gon edge on column i to a vertex of column i ± 1
+  const qTriangle = (i, j, side) =>
+    face([vertex(i, j), vertex(i, j + 2), vertex(i + side, j + 1)])
+  const row = j => range(p).map(k => (j % 2) + 2 * k)
+  const column = i => range(q).map(k => (i % 2) + 2 * k)
+
+  const cells = [
+    // p-gonal antiprisms
+    ...range(2 * q).map(j => [
+      pGon(j),
+      ...row(j).map(i => pTriangle(i, j, 1)),
+      ...row(j + 1).map(i => pTriangle(i, j + 1, -1)),
+      pGon(j + 1),
+    ]),
+    // q-gonal antiprisms
+    ...range(2 * p).map(i => [
+      qGon(i),
+      ...column(i).map(j => qTriangle(i, j, 1)),
+      ...column(i + 1).map(j => qTriangle(i + 1, j, -1)),
+      qGon(i + 1),
+    ]),
+    // Tetrahedra joining each p-gon edge to a q-gon edge
+    ...range(2 * q)
+      .map(j =>
+        row(j).map(i => [
+          pTriangle(i, j, 1),
+          pTriangle(i, j, -1),
+          qTriangle(i + 1, j - 1, -1),
+          qTriangle(i + 1, j - 1, 1),
+        ])
+      )
+      .flat(),
+  ]
+
+  return {
+    vertices,
+    faces,
+    cells,
+  }
+}
+
+export const duoantiprism = generateDuoantiprism(3, 5)
+
+export default generateDuoprism(3, 5)
@@ -1,25482 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.10490165174769969, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      -0.30901699437494745, -0.10490165174769969, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      -0.30901699437494745, -0.10490165174769969, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      -0.30901699437494745, -0.08754843798217557, -0.06190609417948624,
-      0.017194248171105306,
-    ],
-    [
-      -0.30901699437494745, -0.08754843798217557, -0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, -0.08754843798217557, -0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, -0.08754843798217557, 0.016062391374591804,
-      -0.06220937429405972,
-    ],
-    [
-      -0.30901699437494745, -0.08754843798217557, 0.04584370280489444,
-      0.04501512612295441,
-    ],
-    [-0.30901699437494745, -0.08754843798217557, 0.06424956549836722, 0.0],
-    [
-      -0.30901699437494745, -0.059470348295514994, -0.0902390606830599,
-      -0.010626629780743798,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, -0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, -0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, -0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, -0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, 0.03591659899479356,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, 0.054322461688266335,
-      -0.0728360040748035,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, 0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      -0.30901699437494745, -0.059470348295514994, 0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      -0.30901699437494745, -0.03139225860885442, -0.10016616449316076,
-      0.0278208779518491,
-    ],
-    [
-      -0.30901699437494745, -0.03139225860885442, -0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, -0.03139225860885442, -0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, -0.03139225860885442, 0.025989495184692683,
-      -0.10065688202665261,
-    ],
-    [
-      -0.30901699437494745, -0.03139225860885442, 0.07417666930846809,
-      0.0728360040748035,
-    ],
-    [-0.30901699437494745, -0.03139225860885442, 0.10395798073877073, 0.0],
-    [
-      -0.30901699437494745, -0.014039044843330288, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      -0.30901699437494745, -0.014039044843330288, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      -0.30901699437494745, -0.014039044843330288, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      -0.30901699437494745, -0.014039044843330288, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      -0.30901699437494745, -0.014039044843330288, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.014039044843330288, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      -0.30901699437494745, 0.014039044843330288, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      -0.30901699437494745, 0.014039044843330288, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.014039044843330288, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      -0.30901699437494745, 0.014039044843330288, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      -0.30901699437494745, 0.014039044843330288, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      -0.30901699437494745, 0.014039044843330288, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [-0.30901699437494745, 0.03139225860885442, -0.10395798073877073, 0.0],
-    [
-      -0.30901699437494745, 0.03139225860885442, -0.07417666930846809,
-      -0.0728360040748035,
-    ],
-    [
-      -0.30901699437494745, 0.03139225860885442, -0.025989495184692683,
-      0.10065688202665261,
-    ],
-    [
-      -0.30901699437494745, 0.03139225860885442, 0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, 0.03139225860885442, 0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, 0.03139225860885442, 0.10016616449316076,
-      -0.0278208779518491,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, -0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, -0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, -0.054322461688266335,
-      0.0728360040748035,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, -0.03591659899479356,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, 0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, 0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, 0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, 0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, 0.059470348295514994, 0.0902390606830599,
-      0.010626629780743798,
-    ],
-    [-0.30901699437494745, 0.08754843798217557, -0.06424956549836722, 0.0],
-    [
-      -0.30901699437494745, 0.08754843798217557, -0.04584370280489444,
-      -0.04501512612295441,
-    ],
-    [
-      -0.30901699437494745, 0.08754843798217557, -0.016062391374591804,
-      0.06220937429405972,
-    ],
-    [
-      -0.30901699437494745, 0.08754843798217557, 0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, 0.08754843798217557, 0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      -0.30901699437494745, 0.08754843798217557, 0.06190609417948624,
-      -0.017194248171105306,
-    ],
-    [
-      -0.30901699437494745, 0.10490165174769969, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      -0.30901699437494745, 0.10490165174769969, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      -0.30901699437494745, 0.10490165174769969, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      -0.29398867041670174, -0.14165634831712232, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, -0.14165634831712232, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, -0.14165634831712232, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      -0.29398867041670174, -0.1243031345515982, -0.05811427793387629,
-      0.04501512612295441,
-    ],
-    [
-      -0.29398867041670174, -0.1243031345515982, -0.009927103810100878,
-      -0.0728360040748035,
-    ],
-    [
-      -0.29398867041670174, -0.1243031345515982, 0.06804138174397717,
-      0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, -0.09622504486493763, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      -0.29398867041670174, -0.09622504486493763, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      -0.29398867041670174, -0.09622504486493763, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, -0.09622504486493763, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      -0.29398867041670174, -0.09622504486493763, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      -0.29398867041670174, -0.09622504486493763, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, -0.06814695517827704, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, -0.06814695517827704, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, -0.06814695517827704, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      -0.29398867041670174, -0.06814695517827704, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      -0.29398867041670174, -0.06814695517827704, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, -0.06814695517827704, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, -0.05079374141275293, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, -0.05079374141275293, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      -0.29398867041670174, -0.05079374141275293, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      -0.29398867041670174, -0.05079374141275293, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      -0.29398867041670174, -0.05079374141275293, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, -0.05079374141275293, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      -0.29398867041670174, -0.02271565172609235, -0.14221805105244528,
-      0.010626629780743798,
-    ],
-    [
-      -0.29398867041670174, -0.02271565172609235, -0.09403087692866985,
-      -0.10722450041701412,
-    ],
-    [
-      -0.29398867041670174, -0.02271565172609235, -0.04584370280489444,
-      0.1350453783688632,
-    ],
-    [
-      -0.29398867041670174, -0.02271565172609235, 0.06190609417948624,
-      -0.1284777599785017,
-    ],
-    [
-      -0.29398867041670174, -0.02271565172609235, 0.08031195687295903,
-      0.11785113019775792,
-    ],
-    [
-      -0.29398867041670174, -0.02271565172609235, 0.1398745797335643,
-      -0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, 0.02271565172609235, -0.1398745797335643,
-      0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, 0.02271565172609235, -0.08031195687295903,
-      -0.11785113019775792,
-    ],
-    [
-      -0.29398867041670174, 0.02271565172609235, -0.06190609417948624,
-      0.1284777599785017,
-    ],
-    [
-      -0.29398867041670174, 0.02271565172609235, 0.04584370280489444,
-      -0.1350453783688632,
-    ],
-    [
-      -0.29398867041670174, 0.02271565172609235, 0.09403087692866985,
-      0.10722450041701412,
-    ],
-    [
-      -0.29398867041670174, 0.02271565172609235, 0.14221805105244528,
-      -0.010626629780743798,
-    ],
-    [
-      -0.29398867041670174, 0.05079374141275293, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      -0.29398867041670174, 0.05079374141275293, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, 0.05079374141275293, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      -0.29398867041670174, 0.05079374141275293, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      -0.29398867041670174, 0.05079374141275293, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      -0.29398867041670174, 0.05079374141275293, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, 0.06814695517827704, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, 0.06814695517827704, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, 0.06814695517827704, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      -0.29398867041670174, 0.06814695517827704, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      -0.29398867041670174, 0.06814695517827704, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, 0.06814695517827704, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, 0.09622504486493763, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      -0.29398867041670174, 0.09622504486493763, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      -0.29398867041670174, 0.09622504486493763, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      -0.29398867041670174, 0.09622504486493763, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      -0.29398867041670174, 0.09622504486493763, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      -0.29398867041670174, 0.09622504486493763, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      -0.29398867041670174, 0.1243031345515982, -0.06804138174397717,
-      -0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, 0.1243031345515982, 0.009927103810100878,
-      0.0728360040748035,
-    ],
-    [
-      -0.29398867041670174, 0.1243031345515982, 0.05811427793387629,
-      -0.04501512612295441,
-    ],
-    [
-      -0.29398867041670174, 0.14165634831712232, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      -0.29398867041670174, 0.14165634831712232, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      -0.29398867041670174, 0.14165634831712232, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      -0.2696723314583158, -0.1837734828471132, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      -0.2696723314583158, -0.1837734828471132, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, -0.1837734828471132, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      -0.2696723314583158, -0.1556953931604526, -0.08031195687295903,
-      0.06220937429405972,
-    ],
-    [
-      -0.2696723314583158, -0.1556953931604526, -0.013718920055710834,
-      -0.10065688202665261,
-    ],
-    [
-      -0.2696723314583158, -0.1556953931604526, 0.09403087692866985,
-      0.038447507732592895,
-    ],
-    [
-      -0.2696723314583158, -0.12761730347379202, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      -0.2696723314583158, -0.12761730347379202, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      -0.2696723314583158, -0.12761730347379202, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      -0.2696723314583158, -0.12761730347379202, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, -0.12761730347379202, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      -0.2696723314583158, -0.12761730347379202, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, -0.08218600002160734, -0.165864074918257,
-      0.017194248171105306,
-    ],
-    [
-      -0.2696723314583158, -0.08218600002160734, -0.10630145205765171,
-      -0.1284777599785017,
-    ],
-    [
-      -0.2696723314583158, -0.08218600002160734, -0.05811427793387629,
-      0.15629863793035081,
-    ],
-    [
-      -0.2696723314583158, -0.08218600002160734, 0.06804138174397717,
-      -0.15223962653996853,
-    ],
-    [
-      -0.2696723314583158, -0.08218600002160734, 0.0978226931742798,
-      0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, -0.08218600002160734, 0.16441572999152798,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, -0.06483278625608321, -0.1719993624827479,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, -0.06483278625608321, -0.14221805105244528,
-      -0.10065688202665261,
-    ],
-    [
-      -0.2696723314583158, -0.06483278625608321, -0.016062391374591804,
-      0.17349288610145613,
-    ],
-    [
-      -0.2696723314583158, -0.06483278625608321, 0.06190609417948624,
-      0.16286625632071233,
-    ],
-    [
-      -0.2696723314583158, -0.06483278625608321, 0.11009326830326166,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, -0.06483278625608321, 0.1582804424270371,
-      -0.0728360040748035,
-    ],
-    [
-      -0.2696723314583158, -0.03675469656942264, -0.18192646629284875,
-      0.010626629780743798,
-    ],
-    [
-      -0.2696723314583158, -0.03675469656942264, -0.1223638434322435,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, -0.03675469656942264, -0.05577080661499532,
-      0.17349288610145613,
-    ],
-    [
-      -0.2696723314583158, -0.03675469656942264, 0.081760301799688,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2696723314583158, -0.03675469656942264, 0.10016616449316076,
-      0.15223962653996853,
-    ],
-    [
-      -0.2696723314583158, -0.03675469656942264, 0.17813465004723883,
-      -0.038447507732592895,
-    ],
-    [
-      -0.2696723314583158, 0.03675469656942264, -0.17813465004723883,
-      0.038447507732592895,
-    ],
-    [
-      -0.2696723314583158, 0.03675469656942264, -0.10016616449316076,
-      -0.15223962653996853,
-    ],
-    [
-      -0.2696723314583158, 0.03675469656942264, -0.081760301799688,
-      0.16286625632071233,
-    ],
-    [
-      -0.2696723314583158, 0.03675469656942264, 0.05577080661499532,
-      -0.17349288610145613,
-    ],
-    [
-      -0.2696723314583158, 0.03675469656942264, 0.1223638434322435,
-      0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, 0.03675469656942264, 0.18192646629284875,
-      -0.010626629780743798,
-    ],
-    [
-      -0.2696723314583158, 0.06483278625608321, -0.1582804424270371,
-      0.0728360040748035,
-    ],
-    [
-      -0.2696723314583158, 0.06483278625608321, -0.11009326830326166,
-      0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, 0.06483278625608321, -0.06190609417948624,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2696723314583158, 0.06483278625608321, 0.016062391374591804,
-      -0.17349288610145613,
-    ],
-    [
-      -0.2696723314583158, 0.06483278625608321, 0.14221805105244528,
-      0.10065688202665261,
-    ],
-    [
-      -0.2696723314583158, 0.06483278625608321, 0.1719993624827479,
-      0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, 0.08218600002160734, -0.16441572999152798,
-      0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, 0.08218600002160734, -0.0978226931742798,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, 0.08218600002160734, -0.06804138174397717,
-      0.15223962653996853,
-    ],
-    [
-      -0.2696723314583158, 0.08218600002160734, 0.05811427793387629,
-      -0.15629863793035081,
-    ],
-    [
-      -0.2696723314583158, 0.08218600002160734, 0.10630145205765171,
-      0.1284777599785017,
-    ],
-    [
-      -0.2696723314583158, 0.08218600002160734, 0.165864074918257,
-      -0.017194248171105306,
-    ],
-    [
-      -0.2696723314583158, 0.12761730347379202, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, 0.12761730347379202, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      -0.2696723314583158, 0.12761730347379202, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      -0.2696723314583158, 0.12761730347379202, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      -0.2696723314583158, 0.12761730347379202, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      -0.2696723314583158, 0.12761730347379202, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      -0.2696723314583158, 0.1556953931604526, -0.09403087692866985,
-      -0.038447507732592895,
-    ],
-    [
-      -0.2696723314583158, 0.1556953931604526, 0.013718920055710834,
-      0.10065688202665261,
-    ],
-    [
-      -0.2696723314583158, 0.1556953931604526, 0.08031195687295903,
-      -0.06220937429405972,
-    ],
-    [
-      -0.2696723314583158, 0.1837734828471132, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      -0.2696723314583158, 0.1837734828471132, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      -0.2696723314583158, 0.1837734828471132, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      -0.2546440075000701, -0.19245008972987526, -0.05811427793387629,
-      0.04501512612295441,
-    ],
-    [
-      -0.2546440075000701, -0.19245008972987526, -0.009927103810100878,
-      -0.0728360040748035,
-    ],
-    [
-      -0.2546440075000701, -0.19245008972987526, 0.06804138174397717,
-      0.0278208779518491,
-    ],
-    [
-      -0.2546440075000701, -0.11894069659102999, -0.16207225867264702,
-      0.04501512612295441,
-    ],
-    [
-      -0.2546440075000701, -0.11894069659102999, -0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      -0.2546440075000701, -0.11894069659102999, -0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      -0.2546440075000701, -0.11894069659102999, 0.04205188655928449,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2546440075000701, -0.11894069659102999, 0.12002037211336253,
-      0.11785113019775792,
-    ],
-    [-0.2546440075000701, -0.11894069659102999, 0.16820754623713796, 0.0],
-    [
-      -0.2546440075000701, -0.07350939313884527, -0.17813465004723883,
-      -0.0728360040748035,
-    ],
-    [
-      -0.2546440075000701, -0.07350939313884527, 0.025989495184692683,
-      0.19068713427256145,
-    ],
-    [
-      -0.2546440075000701, -0.07350939313884527, 0.15214515486254615,
-      -0.11785113019775792,
-    ],
-    [-0.2546440075000701, 0.0, -0.2041241452319315, 0.0278208779518491],
-    [-0.2546440075000701, 0.0, -0.12615565967785347, -0.16286625632071233],
-    [-0.2546440075000701, 0.0, -0.07796848555407804, 0.19068713427256145],
-    [-0.2546440075000701, 0.0, 0.07796848555407804, -0.19068713427256145],
-    [-0.2546440075000701, 0.0, 0.12615565967785347, 0.16286625632071233],
-    [-0.2546440075000701, 0.0, 0.2041241452319315, -0.0278208779518491],
-    [
-      -0.2546440075000701, 0.07350939313884527, -0.15214515486254615,
-      0.11785113019775792,
-    ],
-    [
-      -0.2546440075000701, 0.07350939313884527, -0.025989495184692683,
-      -0.19068713427256145,
-    ],
-    [
-      -0.2546440075000701, 0.07350939313884527, 0.17813465004723883,
-      0.0728360040748035,
-    ],
-    [-0.2546440075000701, 0.11894069659102999, -0.16820754623713796, 0.0],
-    [
-      -0.2546440075000701, 0.11894069659102999, -0.12002037211336253,
-      -0.11785113019775792,
-    ],
-    [
-      -0.2546440075000701, 0.11894069659102999, -0.04205188655928449,
-      0.16286625632071233,
-    ],
-    [
-      -0.2546440075000701, 0.11894069659102999, 0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      -0.2546440075000701, 0.11894069659102999, 0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      -0.2546440075000701, 0.11894069659102999, 0.16207225867264702,
-      -0.04501512612295441,
-    ],
-    [
-      -0.2546440075000701, 0.19245008972987526, -0.06804138174397717,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2546440075000701, 0.19245008972987526, 0.009927103810100878,
-      0.0728360040748035,
-    ],
-    [
-      -0.2546440075000701, 0.19245008972987526, 0.05811427793387629,
-      -0.04501512612295441,
-    ],
-    [
-      -0.2453559924999299, -0.21516574145596762, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      -0.2453559924999299, -0.21516574145596762, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, -0.21516574145596762, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      -0.2453559924999299, -0.1697344380037829, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      -0.2453559924999299, -0.1697344380037829, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      -0.2453559924999299, -0.1697344380037829, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      -0.2453559924999299, -0.1697344380037829, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2453559924999299, -0.1697344380037829, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      -0.2453559924999299, -0.1697344380037829, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, -0.14165634831712232, -0.1299474759234634,
-      0.10065688202665261,
-    ],
-    [
-      -0.2453559924999299, -0.14165634831712232, -0.022197678939082727,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, -0.14165634831712232, 0.15214515486254615,
-      0.06220937429405972,
-    ],
-    [
-      -0.2453559924999299, -0.09622504486493763, -0.19419704142183064,
-      -0.010626629780743798,
-    ],
-    [
-      -0.2453559924999299, -0.09622504486493763, -0.1460098672980552,
-      -0.1284777599785017,
-    ],
-    [
-      -0.2453559924999299, -0.09622504486493763, -0.03826007031367453,
-      0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, -0.09622504486493763, 0.08789558936417893,
-      0.17349288610145613,
-    ],
-    [
-      -0.2453559924999299, -0.09622504486493763, 0.10630145205765171,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, -0.09622504486493763, 0.18426993761172977,
-      -0.06220937429405972,
-    ],
-    [
-      -0.2453559924999299, -0.06814695517827704, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, -0.06814695517827704, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, -0.06814695517827704, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, -0.06814695517827704, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, -0.06814695517827704, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, -0.06814695517827704, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, -0.05079374141275293, -0.21025943279642245,
-      -0.017194248171105306,
-    ],
-    [
-      -0.2453559924999299, -0.05079374141275293, -0.16207225867264702,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2453559924999299, -0.05079374141275293, -0.03591659899479356,
-      0.20788138244366672,
-    ],
-    [
-      -0.2453559924999299, -0.05079374141275293, 0.0902390606830599,
-      0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, -0.05079374141275293, 0.12002037211336253,
-      -0.17349288610145613,
-    ],
-    [
-      -0.2453559924999299, -0.05079374141275293, 0.19798885766744057,
-      -0.0728360040748035,
-    ],
-    [
-      -0.2453559924999299, 0.05079374141275293, -0.19798885766744057,
-      0.0728360040748035,
-    ],
-    [
-      -0.2453559924999299, 0.05079374141275293, -0.12002037211336253,
-      0.17349288610145613,
-    ],
-    [
-      -0.2453559924999299, 0.05079374141275293, -0.0902390606830599,
-      -0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, 0.05079374141275293, 0.03591659899479356,
-      -0.20788138244366672,
-    ],
-    [
-      -0.2453559924999299, 0.05079374141275293, 0.16207225867264702,
-      0.1350453783688632,
-    ],
-    [
-      -0.2453559924999299, 0.05079374141275293, 0.21025943279642245,
-      0.017194248171105306,
-    ],
-    [
-      -0.2453559924999299, 0.06814695517827704, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, 0.06814695517827704, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, 0.06814695517827704, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, 0.06814695517827704, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, 0.06814695517827704, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, 0.06814695517827704, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, 0.09622504486493763, -0.18426993761172977,
-      0.06220937429405972,
-    ],
-    [
-      -0.2453559924999299, 0.09622504486493763, -0.10630145205765171,
-      0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, 0.09622504486493763, -0.08789558936417893,
-      -0.17349288610145613,
-    ],
-    [
-      -0.2453559924999299, 0.09622504486493763, 0.03826007031367453,
-      -0.19068713427256145,
-    ],
-    [
-      -0.2453559924999299, 0.09622504486493763, 0.1460098672980552,
-      0.1284777599785017,
-    ],
-    [
-      -0.2453559924999299, 0.09622504486493763, 0.19419704142183064,
-      0.010626629780743798,
-    ],
-    [
-      -0.2453559924999299, 0.14165634831712232, -0.15214515486254615,
-      -0.06220937429405972,
-    ],
-    [
-      -0.2453559924999299, 0.14165634831712232, 0.022197678939082727,
-      0.16286625632071233,
-    ],
-    [
-      -0.2453559924999299, 0.14165634831712232, 0.1299474759234634,
-      -0.10065688202665261,
-    ],
-    [
-      -0.2453559924999299, 0.1697344380037829, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, 0.1697344380037829, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      -0.2453559924999299, 0.1697344380037829, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      -0.2453559924999299, 0.1697344380037829, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      -0.2453559924999299, 0.1697344380037829, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      -0.2453559924999299, 0.1697344380037829, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      -0.2453559924999299, 0.21516574145596762, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      -0.2453559924999299, 0.21516574145596762, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      -0.2453559924999299, 0.21516574145596762, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      -0.23032766854168418, -0.22384234833872968, -0.06190609417948624,
-      0.017194248171105306,
-    ],
-    [
-      -0.23032766854168418, -0.22384234833872968, -0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, -0.22384234833872968, -0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, -0.22384234833872968, 0.016062391374591804,
-      -0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, -0.22384234833872968, 0.04584370280489444,
-      0.04501512612295441,
-    ],
-    [-0.23032766854168418, -0.22384234833872968, 0.06424956549836722, 0.0],
-    [
-      -0.23032766854168418, -0.20648913457320556, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      -0.23032766854168418, -0.20648913457320556, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      -0.23032766854168418, -0.20648913457320556, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      -0.23032766854168418, -0.20648913457320556, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, -0.20648913457320556, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, -0.20648913457320556, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      -0.23032766854168418, -0.16105783112102084, -0.16207225867264702,
-      0.04501512612295441,
-    ],
-    [
-      -0.23032766854168418, -0.16105783112102084, -0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, -0.16105783112102084, -0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, -0.16105783112102084, 0.04205188655928449,
-      -0.16286625632071233,
-    ],
-    [
-      -0.23032766854168418, -0.16105783112102084, 0.12002037211336253,
-      0.11785113019775792,
-    ],
-    [-0.23032766854168418, -0.16105783112102084, 0.16820754623713796, 0.0],
-    [
-      -0.23032766854168418, -0.13297974143436025, -0.19040522517622066,
-      0.017194248171105306,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, -0.1719993624827479,
-      0.08346263385554731,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, -0.12381218835897248,
-      -0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, -0.12381218835897248,
-      0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, -0.06424956549836722,
-      -0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, -0.06424956549836722,
-      0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, 0.013718920055710834,
-      -0.19068713427256145,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, 0.08031195687295903,
-      -0.17349288610145613,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, 0.11009326830326166,
-      0.15629863793035081,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, 0.1582804424270371,
-      0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, 0.1880617538573397,
-      -0.03438849634221061,
-    ],
-    [
-      -0.23032766854168418, -0.13297974143436025, 0.1880617538573397,
-      0.03438849634221061,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, -0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, -0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, -0.18192646629284875,
-      -0.10065688202665261,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, -0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, -0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, 0.003791816245609954,
-      0.20788138244366672,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, 0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, 0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, 0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, 0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, -0.10490165174769969, 0.17813465004723883,
-      -0.10722450041701412,
-    ],
-    [-0.23032766854168418, -0.10490165174769969, 0.20791596147754146, 0.0],
-    [
-      -0.23032766854168418, -0.059470348295514994, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, -0.059470348295514994, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, -0.059470348295514994, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      -0.23032766854168418, -0.059470348295514994, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      -0.23032766854168418, -0.059470348295514994, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      -0.23032766854168418, -0.059470348295514994, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [
-      -0.23032766854168418, -0.03139225860885442, -0.22632182417101426,
-      0.04501512612295441,
-    ],
-    [
-      -0.23032766854168418, -0.03139225860885442, -0.1299474759234634,
-      -0.19068713427256145,
-    ],
-    [
-      -0.23032766854168418, -0.03139225860885442, -0.10016616449316076,
-      0.20788138244366672,
-    ],
-    [
-      -0.23032766854168418, -0.03139225860885442, 0.07417666930846809,
-      -0.21850801222441052,
-    ],
-    [
-      -0.23032766854168418, -0.03139225860885442, 0.15214515486254615,
-      0.17349288610145613,
-    ],
-    [
-      -0.23032766854168418, -0.03139225860885442, 0.2301136404166242,
-      -0.017194248171105306,
-    ],
-    [-0.23032766854168418, -0.014039044843330288, -0.23245711173550515, 0.0],
-    [
-      -0.23032766854168418, -0.014039044843330288, -0.165864074918257,
-      -0.16286625632071233,
-    ],
-    [
-      -0.23032766854168418, -0.014039044843330288, -0.05811427793387629,
-      0.22507563061477204,
-    ],
-    [
-      -0.23032766854168418, -0.014039044843330288, 0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, -0.014039044843330288, 0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, -0.014039044843330288, 0.22397835285213324,
-      -0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, 0.014039044843330288, -0.22397835285213324,
-      0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, 0.014039044843330288, -0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, 0.014039044843330288, -0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, 0.014039044843330288, 0.05811427793387629,
-      -0.22507563061477204,
-    ],
-    [
-      -0.23032766854168418, 0.014039044843330288, 0.165864074918257,
-      0.16286625632071233,
-    ],
-    [-0.23032766854168418, 0.014039044843330288, 0.23245711173550515, 0.0],
-    [
-      -0.23032766854168418, 0.03139225860885442, -0.2301136404166242,
-      0.017194248171105306,
-    ],
-    [
-      -0.23032766854168418, 0.03139225860885442, -0.15214515486254615,
-      -0.17349288610145613,
-    ],
-    [
-      -0.23032766854168418, 0.03139225860885442, -0.07417666930846809,
-      0.21850801222441052,
-    ],
-    [
-      -0.23032766854168418, 0.03139225860885442, 0.10016616449316076,
-      -0.20788138244366672,
-    ],
-    [
-      -0.23032766854168418, 0.03139225860885442, 0.1299474759234634,
-      0.19068713427256145,
-    ],
-    [
-      -0.23032766854168418, 0.03139225860885442, 0.22632182417101426,
-      -0.04501512612295441,
-    ],
-    [
-      -0.23032766854168418, 0.059470348295514994, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      -0.23032766854168418, 0.059470348295514994, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      -0.23032766854168418, 0.059470348295514994, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      -0.23032766854168418, 0.059470348295514994, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      -0.23032766854168418, 0.059470348295514994, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, 0.059470348295514994, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [-0.23032766854168418, 0.10490165174769969, -0.20791596147754146, 0.0],
-    [
-      -0.23032766854168418, 0.10490165174769969, -0.17813465004723883,
-      0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, -0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, -0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, -0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, -0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, -0.003791816245609954,
-      -0.20788138244366672,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, 0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, 0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, 0.18192646629284875,
-      0.10065688202665261,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, 0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, 0.10490165174769969, 0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, -0.1880617538573397,
-      -0.03438849634221061,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, -0.1880617538573397,
-      0.03438849634221061,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, -0.1582804424270371,
-      -0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, -0.11009326830326166,
-      -0.15629863793035081,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, -0.08031195687295903,
-      0.17349288610145613,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, -0.013718920055710834,
-      0.19068713427256145,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, 0.06424956549836722,
-      -0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, 0.06424956549836722,
-      0.18006050449181765,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, 0.12381218835897248,
-      -0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, 0.12381218835897248,
-      0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, 0.1719993624827479,
-      -0.08346263385554731,
-    ],
-    [
-      -0.23032766854168418, 0.13297974143436025, 0.19040522517622066,
-      -0.017194248171105306,
-    ],
-    [-0.23032766854168418, 0.16105783112102084, -0.16820754623713796, 0.0],
-    [
-      -0.23032766854168418, 0.16105783112102084, -0.12002037211336253,
-      -0.11785113019775792,
-    ],
-    [
-      -0.23032766854168418, 0.16105783112102084, -0.04205188655928449,
-      0.16286625632071233,
-    ],
-    [
-      -0.23032766854168418, 0.16105783112102084, 0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, 0.16105783112102084, 0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      -0.23032766854168418, 0.16105783112102084, 0.16207225867264702,
-      -0.04501512612295441,
-    ],
-    [
-      -0.23032766854168418, 0.20648913457320556, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      -0.23032766854168418, 0.20648913457320556, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, 0.20648913457320556, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      -0.23032766854168418, 0.20648913457320556, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      -0.23032766854168418, 0.20648913457320556, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      -0.23032766854168418, 0.20648913457320556, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [-0.23032766854168418, 0.22384234833872968, -0.06424956549836722, 0.0],
-    [
-      -0.23032766854168418, 0.22384234833872968, -0.04584370280489444,
-      -0.04501512612295441,
-    ],
-    [
-      -0.23032766854168418, 0.22384234833872968, -0.016062391374591804,
-      0.06220937429405972,
-    ],
-    [
-      -0.23032766854168418, 0.22384234833872968, 0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, 0.22384234833872968, 0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      -0.23032766854168418, 0.22384234833872968, 0.06190609417948624,
-      -0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, -0.0902390606830599,
-      -0.010626629780743798,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, -0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, -0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, -0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, -0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, 0.03591659899479356,
-      0.08346263385554731,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, 0.054322461688266335,
-      -0.0728360040748035,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, 0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      -0.20601132958329826, -0.23788139318205997, 0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      -0.20601132958329826, -0.22052817941653585, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, -0.22052817941653585, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      -0.20601132958329826, -0.22052817941653585, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, -0.22052817941653585, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, -0.22052817941653585, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      -0.20601132958329826, -0.22052817941653585, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, -0.19245008972987526, -0.165864074918257,
-      0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, -0.19245008972987526, -0.10630145205765171,
-      -0.1284777599785017,
-    ],
-    [
-      -0.20601132958329826, -0.19245008972987526, -0.05811427793387629,
-      0.15629863793035081,
-    ],
-    [
-      -0.20601132958329826, -0.19245008972987526, 0.06804138174397717,
-      -0.15223962653996853,
-    ],
-    [
-      -0.20601132958329826, -0.19245008972987526, 0.0978226931742798,
-      0.1350453783688632,
-    ],
-    [
-      -0.20601132958329826, -0.19245008972987526, 0.16441572999152798,
-      -0.0278208779518491,
-    ],
-    [
-      -0.20601132958329826, -0.16437200004321467, -0.19419704142183064,
-      -0.010626629780743798,
-    ],
-    [
-      -0.20601132958329826, -0.16437200004321467, -0.1460098672980552,
-      -0.1284777599785017,
-    ],
-    [
-      -0.20601132958329826, -0.16437200004321467, -0.03826007031367453,
-      0.19068713427256145,
-    ],
-    [
-      -0.20601132958329826, -0.16437200004321467, 0.08789558936417893,
-      0.17349288610145613,
-    ],
-    [
-      -0.20601132958329826, -0.16437200004321467, 0.10630145205765171,
-      -0.16286625632071233,
-    ],
-    [
-      -0.20601132958329826, -0.16437200004321467, 0.18426993761172977,
-      -0.06220937429405972,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, -0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, -0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, -0.18192646629284875,
-      -0.10065688202665261,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, -0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, -0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, 0.003791816245609954,
-      0.20788138244366672,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, 0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, 0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, 0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, 0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, -0.14701878627769055, 0.17813465004723883,
-      -0.10722450041701412,
-    ],
-    [-0.20601132958329826, -0.14701878627769055, 0.20791596147754146, 0.0],
-    [
-      -0.20601132958329826, -0.11894069659102999, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, -0.11894069659102999, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      -0.20601132958329826, -0.11894069659102999, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      -0.20601132958329826, -0.11894069659102999, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      -0.20601132958329826, -0.11894069659102999, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      -0.20601132958329826, -0.11894069659102999, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, -0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, -0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, -0.14221805105244528,
-      0.19068713427256145,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, -0.09403087692866985,
-      -0.21850801222441052,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, 0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, 0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, 0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, 0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, -0.0908626069043694, 0.23624892798111513,
-      0.0278208779518491,
-    ],
-    [
-      -0.20601132958329826, -0.0454313034521847, -0.23624892798111513,
-      0.08346263385554731,
-    ],
-    [
-      -0.20601132958329826, -0.0454313034521847, -0.1398745797335643,
-      0.20788138244366672,
-    ],
-    [
-      -0.20601132958329826, -0.0454313034521847, -0.11009326830326166,
-      -0.22507563061477204,
-    ],
-    [
-      -0.20601132958329826, -0.0454313034521847, 0.04584370280489444,
-      -0.24632889017625964,
-    ],
-    [
-      -0.20601132958329826, -0.0454313034521847, 0.19040522517622066,
-      0.16286625632071233,
-    ],
-    [
-      -0.20601132958329826, -0.0454313034521847, 0.24996784803682592,
-      0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, -0.028078089686660576, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      -0.20601132958329826, -0.028078089686660576, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, -0.028078089686660576, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      -0.20601132958329826, -0.028078089686660576, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      -0.20601132958329826, -0.028078089686660576, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      -0.20601132958329826, -0.028078089686660576, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [-0.20601132958329826, 0.0, -0.25231131935570694, -0.03438849634221061],
-    [-0.20601132958329826, 0.0, -0.25231131935570694, 0.03438849634221061],
-    [-0.20601132958329826, 0.0, -0.23390545666223417, 0.10065688202665261],
-    [-0.20601132958329826, 0.0, -0.2041241452319315, -0.15223962653996853],
-    [-0.20601132958329826, 0.0, -0.15593697110815607, -0.20131376405330523],
-    [-0.20601132958329826, 0.0, -0.15593697110815607, 0.20131376405330523],
-    [-0.20601132958329826, 0.0, -0.09637434824755081, -0.23570226039551584],
-    [-0.20601132958329826, 0.0, -0.09637434824755081, 0.23570226039551584],
-    [-0.20601132958329826, 0.0, -0.02978131143030264, 0.25289650856662116],
-    [-0.20601132958329826, 0.0, 0.02978131143030264, -0.25289650856662116],
-    [-0.20601132958329826, 0.0, 0.09637434824755081, -0.23570226039551584],
-    [-0.20601132958329826, 0.0, 0.09637434824755081, 0.23570226039551584],
-    [-0.20601132958329826, 0.0, 0.15593697110815607, -0.20131376405330523],
-    [-0.20601132958329826, 0.0, 0.15593697110815607, 0.20131376405330523],
-    [-0.20601132958329826, 0.0, 0.2041241452319315, 0.15223962653996853],
-    [-0.20601132958329826, 0.0, 0.23390545666223417, -0.10065688202665261],
-    [-0.20601132958329826, 0.0, 0.25231131935570694, -0.03438849634221061],
-    [-0.20601132958329826, 0.0, 0.25231131935570694, 0.03438849634221061],
-    [
-      -0.20601132958329826, 0.028078089686660576, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      -0.20601132958329826, 0.028078089686660576, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      -0.20601132958329826, 0.028078089686660576, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      -0.20601132958329826, 0.028078089686660576, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      -0.20601132958329826, 0.028078089686660576, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, 0.028078089686660576, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      -0.20601132958329826, 0.0454313034521847, -0.24996784803682592,
-      -0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, 0.0454313034521847, -0.19040522517622066,
-      -0.16286625632071233,
-    ],
-    [
-      -0.20601132958329826, 0.0454313034521847, -0.04584370280489444,
-      0.24632889017625964,
-    ],
-    [
-      -0.20601132958329826, 0.0454313034521847, 0.11009326830326166,
-      0.22507563061477204,
-    ],
-    [
-      -0.20601132958329826, 0.0454313034521847, 0.1398745797335643,
-      -0.20788138244366672,
-    ],
-    [
-      -0.20601132958329826, 0.0454313034521847, 0.23624892798111513,
-      -0.08346263385554731,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, -0.23624892798111513,
-      -0.0278208779518491,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, -0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, -0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, -0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, -0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, 0.09403087692866985,
-      0.21850801222441052,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, 0.14221805105244528,
-      -0.19068713427256145,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, 0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, 0.0908626069043694, 0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, 0.11894069659102999, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      -0.20601132958329826, 0.11894069659102999, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      -0.20601132958329826, 0.11894069659102999, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      -0.20601132958329826, 0.11894069659102999, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      -0.20601132958329826, 0.11894069659102999, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      -0.20601132958329826, 0.11894069659102999, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [-0.20601132958329826, 0.14701878627769055, -0.20791596147754146, 0.0],
-    [
-      -0.20601132958329826, 0.14701878627769055, -0.17813465004723883,
-      0.10722450041701412,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, -0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, -0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, -0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, -0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, -0.003791816245609954,
-      -0.20788138244366672,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, 0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, 0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, 0.18192646629284875,
-      0.10065688202665261,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, 0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, 0.14701878627769055, 0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, 0.16437200004321467, -0.18426993761172977,
-      0.06220937429405972,
-    ],
-    [
-      -0.20601132958329826, 0.16437200004321467, -0.10630145205765171,
-      0.16286625632071233,
-    ],
-    [
-      -0.20601132958329826, 0.16437200004321467, -0.08789558936417893,
-      -0.17349288610145613,
-    ],
-    [
-      -0.20601132958329826, 0.16437200004321467, 0.03826007031367453,
-      -0.19068713427256145,
-    ],
-    [
-      -0.20601132958329826, 0.16437200004321467, 0.1460098672980552,
-      0.1284777599785017,
-    ],
-    [
-      -0.20601132958329826, 0.16437200004321467, 0.19419704142183064,
-      0.010626629780743798,
-    ],
-    [
-      -0.20601132958329826, 0.19245008972987526, -0.16441572999152798,
-      0.0278208779518491,
-    ],
-    [
-      -0.20601132958329826, 0.19245008972987526, -0.0978226931742798,
-      -0.1350453783688632,
-    ],
-    [
-      -0.20601132958329826, 0.19245008972987526, -0.06804138174397717,
-      0.15223962653996853,
-    ],
-    [
-      -0.20601132958329826, 0.19245008972987526, 0.05811427793387629,
-      -0.15629863793035081,
-    ],
-    [
-      -0.20601132958329826, 0.19245008972987526, 0.10630145205765171,
-      0.1284777599785017,
-    ],
-    [
-      -0.20601132958329826, 0.19245008972987526, 0.165864074918257,
-      -0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, 0.22052817941653585, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, 0.22052817941653585, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      -0.20601132958329826, 0.22052817941653585, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, 0.22052817941653585, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      -0.20601132958329826, 0.22052817941653585, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      -0.20601132958329826, 0.22052817941653585, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, -0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, -0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, -0.054322461688266335,
-      0.0728360040748035,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, -0.03591659899479356,
-      -0.08346263385554731,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, 0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, 0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, 0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, 0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      -0.20601132958329826, 0.23788139318205997, 0.0902390606830599,
-      0.010626629780743798,
-    ],
-    [
-      -0.19098300562505258, -0.2292047862992979, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      -0.19098300562505258, -0.2292047862992979, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, -0.2292047862992979, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.2292047862992979, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      -0.19098300562505258, -0.2292047862992979, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      -0.19098300562505258, -0.2292047862992979, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      -0.19098300562505258, -0.20112669661263732, -0.1719993624827479,
-      -0.0278208779518491,
-    ],
-    [
-      -0.19098300562505258, -0.20112669661263732, -0.14221805105244528,
-      -0.10065688202665261,
-    ],
-    [
-      -0.19098300562505258, -0.20112669661263732, -0.016062391374591804,
-      0.17349288610145613,
-    ],
-    [
-      -0.19098300562505258, -0.20112669661263732, 0.06190609417948624,
-      0.16286625632071233,
-    ],
-    [
-      -0.19098300562505258, -0.20112669661263732, 0.11009326830326166,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.20112669661263732, 0.1582804424270371,
-      -0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, -0.1837734828471132, -0.17813465004723883,
-      -0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, -0.1837734828471132, 0.025989495184692683,
-      0.19068713427256145,
-    ],
-    [
-      -0.19098300562505258, -0.1837734828471132, 0.15214515486254615,
-      -0.11785113019775792,
-    ],
-    [
-      -0.19098300562505258, -0.08218600002160734, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.08218600002160734, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      -0.19098300562505258, -0.08218600002160734, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      -0.19098300562505258, -0.08218600002160734, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      -0.19098300562505258, -0.08218600002160734, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      -0.19098300562505258, -0.08218600002160734, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, -0.03675469656942264, -0.2301136404166242,
-      0.1284777599785017,
-    ],
-    [
-      -0.19098300562505258, -0.03675469656942264, -0.18192646629284875,
-      0.19068713427256145,
-    ],
-    [
-      -0.19098300562505258, -0.03675469656942264, -0.07417666930846809,
-      -0.25289650856662116,
-    ],
-    [
-      -0.19098300562505258, -0.03675469656942264, 0.003791816245609954,
-      -0.26352313834736496,
-    ],
-    [
-      -0.19098300562505258, -0.03675469656942264, 0.22632182417101426,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.03675469656942264, 0.2561031356013169,
-      0.06220937429405972,
-    ],
-    [
-      -0.19098300562505258, -0.008676606882762061, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      -0.19098300562505258, -0.008676606882762061, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      -0.19098300562505258, -0.008676606882762061, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      -0.19098300562505258, 0.008676606882762061, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      -0.19098300562505258, 0.008676606882762061, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      -0.19098300562505258, 0.008676606882762061, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      -0.19098300562505258, 0.03675469656942264, -0.2561031356013169,
-      -0.06220937429405972,
-    ],
-    [
-      -0.19098300562505258, 0.03675469656942264, -0.22632182417101426,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.03675469656942264, -0.003791816245609954,
-      0.26352313834736496,
-    ],
-    [
-      -0.19098300562505258, 0.03675469656942264, 0.07417666930846809,
-      0.25289650856662116,
-    ],
-    [
-      -0.19098300562505258, 0.03675469656942264, 0.18192646629284875,
-      -0.19068713427256145,
-    ],
-    [
-      -0.19098300562505258, 0.03675469656942264, 0.2301136404166242,
-      -0.1284777599785017,
-    ],
-    [
-      -0.19098300562505258, 0.08218600002160734, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, 0.08218600002160734, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      -0.19098300562505258, 0.08218600002160734, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      -0.19098300562505258, 0.08218600002160734, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      -0.19098300562505258, 0.08218600002160734, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      -0.19098300562505258, 0.08218600002160734, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.1837734828471132, -0.15214515486254615,
-      0.11785113019775792,
-    ],
-    [
-      -0.19098300562505258, 0.1837734828471132, -0.025989495184692683,
-      -0.19068713427256145,
-    ],
-    [
-      -0.19098300562505258, 0.1837734828471132, 0.17813465004723883,
-      0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, 0.20112669661263732, -0.1582804424270371,
-      0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, 0.20112669661263732, -0.11009326830326166,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.20112669661263732, -0.06190609417948624,
-      -0.16286625632071233,
-    ],
-    [
-      -0.19098300562505258, 0.20112669661263732, 0.016062391374591804,
-      -0.17349288610145613,
-    ],
-    [
-      -0.19098300562505258, 0.20112669661263732, 0.14221805105244528,
-      0.10065688202665261,
-    ],
-    [
-      -0.19098300562505258, 0.20112669661263732, 0.1719993624827479,
-      0.0278208779518491,
-    ],
-    [
-      -0.19098300562505258, 0.2292047862992979, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      -0.19098300562505258, 0.2292047862992979, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      -0.19098300562505258, 0.2292047862992979, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      -0.19098300562505258, 0.2292047862992979, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.2292047862992979, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      -0.19098300562505258, 0.2292047862992979, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, -0.2519204380253902, -0.10016616449316076,
-      0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, -0.2519204380253902, -0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, -0.2519204380253902, -0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, -0.2519204380253902, 0.025989495184692683,
-      -0.10065688202665261,
-    ],
-    [
-      -0.18169499062491237, -0.2519204380253902, 0.07417666930846809,
-      0.0728360040748035,
-    ],
-    [-0.18169499062491237, -0.2519204380253902, 0.10395798073877073, 0.0],
-    [
-      -0.18169499062491237, -0.17841104488654497, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, -0.17841104488654497, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.18169499062491237, -0.17841104488654497, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, -0.17841104488654497, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, -0.17841104488654497, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.18169499062491237, -0.17841104488654497, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, -0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, -0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, -0.14221805105244528,
-      0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, -0.09403087692866985,
-      -0.21850801222441052,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, 0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, 0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, 0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, 0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      -0.18169499062491237, -0.13297974143436025, 0.23624892798111513,
-      0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, -0.059470348295514994, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      -0.18169499062491237, -0.059470348295514994, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      -0.18169499062491237, -0.059470348295514994, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      -0.18169499062491237, -0.014039044843330288, -0.2622384231658078,
-      0.0728360040748035,
-    ],
-    [
-      -0.18169499062491237, -0.014039044843330288, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, -0.014039044843330288, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, -0.014039044843330288, 0.06804138174397717,
-      -0.26352313834736496,
-    ],
-    [
-      -0.18169499062491237, -0.014039044843330288, 0.19419704142183064,
-      0.19068713427256145,
-    ],
-    [-0.18169499062491237, -0.014039044843330288, 0.2721655269759087, 0.0],
-    [-0.18169499062491237, 0.014039044843330288, -0.2721655269759087, 0.0],
-    [
-      -0.18169499062491237, 0.014039044843330288, -0.19419704142183064,
-      -0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, 0.014039044843330288, -0.06804138174397717,
-      0.26352313834736496,
-    ],
-    [
-      -0.18169499062491237, 0.014039044843330288, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, 0.014039044843330288, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, 0.014039044843330288, 0.2622384231658078,
-      -0.0728360040748035,
-    ],
-    [
-      -0.18169499062491237, 0.059470348295514994, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      -0.18169499062491237, 0.059470348295514994, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      -0.18169499062491237, 0.059470348295514994, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, -0.23624892798111513,
-      -0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, -0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, -0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, -0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, -0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, 0.09403087692866985,
-      0.21850801222441052,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, 0.14221805105244528,
-      -0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, 0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, 0.13297974143436025, 0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, 0.17841104488654497, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.18169499062491237, 0.17841104488654497, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.18169499062491237, 0.17841104488654497, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, 0.17841104488654497, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.18169499062491237, 0.17841104488654497, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.18169499062491237, 0.17841104488654497, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [-0.18169499062491237, 0.2519204380253902, -0.10395798073877073, 0.0],
-    [
-      -0.18169499062491237, 0.2519204380253902, -0.07417666930846809,
-      -0.0728360040748035,
-    ],
-    [
-      -0.18169499062491237, 0.2519204380253902, -0.025989495184692683,
-      0.10065688202665261,
-    ],
-    [
-      -0.18169499062491237, 0.2519204380253902, 0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, 0.2519204380253902, 0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      -0.18169499062491237, 0.2519204380253902, 0.10016616449316076,
-      -0.0278208779518491,
-    ],
-    [
-      -0.16666666666666669, -0.2605970449081523, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      -0.16666666666666669, -0.2605970449081523, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      -0.16666666666666669, -0.2605970449081523, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, -0.2605970449081523, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      -0.16666666666666669, -0.2605970449081523, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      -0.16666666666666669, -0.2605970449081523, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      -0.16666666666666669, -0.2432438311426282, -0.14221805105244528,
-      0.010626629780743798,
-    ],
-    [
-      -0.16666666666666669, -0.2432438311426282, -0.09403087692866985,
-      -0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, -0.2432438311426282, -0.04584370280489444,
-      0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, -0.2432438311426282, 0.06190609417948624,
-      -0.1284777599785017,
-    ],
-    [
-      -0.16666666666666669, -0.2432438311426282, 0.08031195687295903,
-      0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, -0.2432438311426282, 0.1398745797335643,
-      -0.0278208779518491,
-    ],
-    [
-      -0.16666666666666669, -0.21516574145596762, -0.18192646629284875,
-      0.010626629780743798,
-    ],
-    [
-      -0.16666666666666669, -0.21516574145596762, -0.1223638434322435,
-      -0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, -0.21516574145596762, -0.05577080661499532,
-      0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, -0.21516574145596762, 0.081760301799688,
-      -0.16286625632071233,
-    ],
-    [
-      -0.16666666666666669, -0.21516574145596762, 0.10016616449316076,
-      0.15223962653996853,
-    ],
-    [
-      -0.16666666666666669, -0.21516574145596762, 0.17813465004723883,
-      -0.038447507732592895,
-    ],
-    [
-      -0.16666666666666669, -0.18708765176930703, -0.21025943279642245,
-      -0.017194248171105306,
-    ],
-    [
-      -0.16666666666666669, -0.18708765176930703, -0.16207225867264702,
-      -0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, -0.18708765176930703, -0.03591659899479356,
-      0.20788138244366672,
-    ],
-    [
-      -0.16666666666666669, -0.18708765176930703, 0.0902390606830599,
-      0.19068713427256145,
-    ],
-    [
-      -0.16666666666666669, -0.18708765176930703, 0.12002037211336253,
-      -0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, -0.18708765176930703, 0.19798885766744057,
-      -0.0728360040748035,
-    ],
-    [
-      -0.16666666666666669, -0.1697344380037829, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      -0.16666666666666669, -0.1697344380037829, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, -0.1697344380037829, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      -0.16666666666666669, -0.1697344380037829, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      -0.16666666666666669, -0.1697344380037829, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      -0.16666666666666669, -0.1697344380037829, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, -0.1243031345515982, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, -0.1243031345515982, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, -0.1243031345515982, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      -0.16666666666666669, -0.1243031345515982, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      -0.16666666666666669, -0.1243031345515982, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, -0.1243031345515982, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      -0.16666666666666669, -0.09622504486493763, -0.24238421554560602,
-      0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, -0.09622504486493763, -0.16441572999152798,
-      0.20788138244366672,
-    ],
-    [
-      -0.16666666666666669, -0.09622504486493763, -0.0978226931742798,
-      -0.24632889017625964,
-    ],
-    [
-      -0.16666666666666669, -0.09622504486493763, 0.028332966503573656,
-      -0.26352313834736496,
-    ],
-    [
-      -0.16666666666666669, -0.09622504486493763, 0.21405124904203238,
-      0.15629863793035081,
-    ],
-    [
-      -0.16666666666666669, -0.09622504486493763, 0.2622384231658078,
-      0.038447507732592895,
-    ],
-    [
-      -0.16666666666666669, -0.05079374141275293, -0.25844660692019783,
-      0.10065688202665261,
-    ],
-    [
-      -0.16666666666666669, -0.05079374141275293, -0.16207225867264702,
-      0.22507563061477204,
-    ],
-    [
-      -0.16666666666666669, -0.05079374141275293, -0.11388508454887161,
-      -0.25289650856662116,
-    ],
-    [
-      -0.16666666666666669, -0.05079374141275293, 0.04205188655928449,
-      -0.27414976812810876,
-    ],
-    [
-      -0.16666666666666669, -0.05079374141275293, 0.21639472036091334,
-      0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, -0.05079374141275293, 0.27595734322151866,
-      0.0278208779518491,
-    ],
-    [
-      -0.16666666666666669, -0.02271565172609235, -0.2683737107302987,
-      -0.08346263385554731,
-    ],
-    [
-      -0.16666666666666669, -0.02271565172609235, -0.24996784803682592,
-      -0.1284777599785017,
-    ],
-    [
-      -0.16666666666666669, -0.02271565172609235, 0.013718920055710834,
-      0.2807173865184702,
-    ],
-    [
-      -0.16666666666666669, -0.02271565172609235, 0.06190609417948624,
-      0.27414976812810876,
-    ],
-    [
-      -0.16666666666666669, -0.02271565172609235, 0.20646761655081247,
-      -0.19068713427256145,
-    ],
-    [
-      -0.16666666666666669, -0.02271565172609235, 0.23624892798111513,
-      -0.15223962653996853,
-    ],
-    [
-      -0.16666666666666669, -0.0053624379605682285, -0.2561031356013169,
-      0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, -0.0053624379605682285, -0.17813465004723883,
-      0.21850801222441052,
-    ],
-    [
-      -0.16666666666666669, -0.0053624379605682285, -0.10016616449316076,
-      -0.26352313834736496,
-    ],
-    [
-      -0.16666666666666669, -0.0053624379605682285, 0.025989495184692683,
-      -0.2807173865184702,
-    ],
-    [
-      -0.16666666666666669, -0.0053624379605682285, 0.2301136404166242,
-      0.16286625632071233,
-    ],
-    [
-      -0.16666666666666669, -0.0053624379605682285, 0.27830081454039957,
-      0.04501512612295441,
-    ],
-    [
-      -0.16666666666666669, 0.0053624379605682285, -0.27830081454039957,
-      -0.04501512612295441,
-    ],
-    [
-      -0.16666666666666669, 0.0053624379605682285, -0.2301136404166242,
-      -0.16286625632071233,
-    ],
-    [
-      -0.16666666666666669, 0.0053624379605682285, -0.025989495184692683,
-      0.2807173865184702,
-    ],
-    [
-      -0.16666666666666669, 0.0053624379605682285, 0.10016616449316076,
-      0.26352313834736496,
-    ],
-    [
-      -0.16666666666666669, 0.0053624379605682285, 0.17813465004723883,
-      -0.21850801222441052,
-    ],
-    [
-      -0.16666666666666669, 0.0053624379605682285, 0.2561031356013169,
-      -0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, 0.02271565172609235, -0.23624892798111513,
-      0.15223962653996853,
-    ],
-    [
-      -0.16666666666666669, 0.02271565172609235, -0.20646761655081247,
-      0.19068713427256145,
-    ],
-    [
-      -0.16666666666666669, 0.02271565172609235, -0.06190609417948624,
-      -0.27414976812810876,
-    ],
-    [
-      -0.16666666666666669, 0.02271565172609235, -0.013718920055710834,
-      -0.2807173865184702,
-    ],
-    [
-      -0.16666666666666669, 0.02271565172609235, 0.24996784803682592,
-      0.1284777599785017,
-    ],
-    [
-      -0.16666666666666669, 0.02271565172609235, 0.2683737107302987,
-      0.08346263385554731,
-    ],
-    [
-      -0.16666666666666669, 0.05079374141275293, -0.27595734322151866,
-      -0.0278208779518491,
-    ],
-    [
-      -0.16666666666666669, 0.05079374141275293, -0.21639472036091334,
-      -0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, 0.05079374141275293, -0.04205188655928449,
-      0.27414976812810876,
-    ],
-    [
-      -0.16666666666666669, 0.05079374141275293, 0.11388508454887161,
-      0.25289650856662116,
-    ],
-    [
-      -0.16666666666666669, 0.05079374141275293, 0.16207225867264702,
-      -0.22507563061477204,
-    ],
-    [
-      -0.16666666666666669, 0.05079374141275293, 0.25844660692019783,
-      -0.10065688202665261,
-    ],
-    [
-      -0.16666666666666669, 0.09622504486493763, -0.2622384231658078,
-      -0.038447507732592895,
-    ],
-    [
-      -0.16666666666666669, 0.09622504486493763, -0.21405124904203238,
-      -0.15629863793035081,
-    ],
-    [
-      -0.16666666666666669, 0.09622504486493763, -0.028332966503573656,
-      0.26352313834736496,
-    ],
-    [
-      -0.16666666666666669, 0.09622504486493763, 0.0978226931742798,
-      0.24632889017625964,
-    ],
-    [
-      -0.16666666666666669, 0.09622504486493763, 0.16441572999152798,
-      -0.20788138244366672,
-    ],
-    [
-      -0.16666666666666669, 0.09622504486493763, 0.24238421554560602,
-      -0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, 0.1243031345515982, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      -0.16666666666666669, 0.1243031345515982, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, 0.1243031345515982, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      -0.16666666666666669, 0.1243031345515982, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      -0.16666666666666669, 0.1243031345515982, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, 0.1243031345515982, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, 0.1697344380037829, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, 0.1697344380037829, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      -0.16666666666666669, 0.1697344380037829, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      -0.16666666666666669, 0.1697344380037829, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      -0.16666666666666669, 0.1697344380037829, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, 0.1697344380037829, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [
-      -0.16666666666666669, 0.18708765176930703, -0.19798885766744057,
-      0.0728360040748035,
-    ],
-    [
-      -0.16666666666666669, 0.18708765176930703, -0.12002037211336253,
-      0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, 0.18708765176930703, -0.0902390606830599,
-      -0.19068713427256145,
-    ],
-    [
-      -0.16666666666666669, 0.18708765176930703, 0.03591659899479356,
-      -0.20788138244366672,
-    ],
-    [
-      -0.16666666666666669, 0.18708765176930703, 0.16207225867264702,
-      0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, 0.18708765176930703, 0.21025943279642245,
-      0.017194248171105306,
-    ],
-    [
-      -0.16666666666666669, 0.21516574145596762, -0.17813465004723883,
-      0.038447507732592895,
-    ],
-    [
-      -0.16666666666666669, 0.21516574145596762, -0.10016616449316076,
-      -0.15223962653996853,
-    ],
-    [
-      -0.16666666666666669, 0.21516574145596762, -0.081760301799688,
-      0.16286625632071233,
-    ],
-    [
-      -0.16666666666666669, 0.21516574145596762, 0.05577080661499532,
-      -0.17349288610145613,
-    ],
-    [
-      -0.16666666666666669, 0.21516574145596762, 0.1223638434322435,
-      0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, 0.21516574145596762, 0.18192646629284875,
-      -0.010626629780743798,
-    ],
-    [
-      -0.16666666666666669, 0.2432438311426282, -0.1398745797335643,
-      0.0278208779518491,
-    ],
-    [
-      -0.16666666666666669, 0.2432438311426282, -0.08031195687295903,
-      -0.11785113019775792,
-    ],
-    [
-      -0.16666666666666669, 0.2432438311426282, -0.06190609417948624,
-      0.1284777599785017,
-    ],
-    [
-      -0.16666666666666669, 0.2432438311426282, 0.04584370280489444,
-      -0.1350453783688632,
-    ],
-    [
-      -0.16666666666666669, 0.2432438311426282, 0.09403087692866985,
-      0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, 0.2432438311426282, 0.14221805105244528,
-      -0.010626629780743798,
-    ],
-    [
-      -0.16666666666666669, 0.2605970449081523, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      -0.16666666666666669, 0.2605970449081523, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      -0.16666666666666669, 0.2605970449081523, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      -0.16666666666666669, 0.2605970449081523, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      -0.16666666666666669, 0.2605970449081523, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      -0.16666666666666669, 0.2605970449081523, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, -0.27463608975148257, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      -0.14235032770828077, -0.27463608975148257, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      -0.14235032770828077, -0.27463608975148257, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      -0.14235032770828077, -0.27463608975148257, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      -0.14235032770828077, -0.27463608975148257, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      -0.14235032770828077, -0.27463608975148257, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, -0.1837734828471132, -0.22632182417101426,
-      0.04501512612295441,
-    ],
-    [
-      -0.14235032770828077, -0.1837734828471132, -0.1299474759234634,
-      -0.19068713427256145,
-    ],
-    [
-      -0.14235032770828077, -0.1837734828471132, -0.10016616449316076,
-      0.20788138244366672,
-    ],
-    [
-      -0.14235032770828077, -0.1837734828471132, 0.07417666930846809,
-      -0.21850801222441052,
-    ],
-    [
-      -0.14235032770828077, -0.1837734828471132, 0.15214515486254615,
-      0.17349288610145613,
-    ],
-    [
-      -0.14235032770828077, -0.1837734828471132, 0.2301136404166242,
-      -0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, -0.1556953931604526, -0.23624892798111513,
-      0.08346263385554731,
-    ],
-    [
-      -0.14235032770828077, -0.1556953931604526, -0.1398745797335643,
-      0.20788138244366672,
-    ],
-    [
-      -0.14235032770828077, -0.1556953931604526, -0.11009326830326166,
-      -0.22507563061477204,
-    ],
-    [
-      -0.14235032770828077, -0.1556953931604526, 0.04584370280489444,
-      -0.24632889017625964,
-    ],
-    [
-      -0.14235032770828077, -0.1556953931604526, 0.19040522517622066,
-      0.16286625632071233,
-    ],
-    [
-      -0.14235032770828077, -0.1556953931604526, 0.24996784803682592,
-      0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, -0.12761730347379202, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      -0.14235032770828077, -0.12761730347379202, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      -0.14235032770828077, -0.12761730347379202, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      -0.14235032770828077, -0.08218600002160734, -0.2622384231658078,
-      -0.10722450041701412,
-    ],
-    [
-      -0.14235032770828077, -0.08218600002160734, 0.03826007031367453,
-      0.2807173865184702,
-    ],
-    [
-      -0.14235032770828077, -0.08218600002160734, 0.22397835285213324,
-      -0.17349288610145613,
-    ],
-    [
-      -0.14235032770828077, -0.008676606882762061, -0.28822791835050043,
-      0.06220937429405972,
-    ],
-    [
-      -0.14235032770828077, -0.008676606882762061, -0.16207225867264702,
-      -0.24632889017625964,
-    ],
-    [
-      -0.14235032770828077, -0.008676606882762061, -0.13229094724234436,
-      0.26352313834736496,
-    ],
-    [
-      -0.14235032770828077, -0.008676606882762061, 0.0902390606830599,
-      -0.2807173865184702,
-    ],
-    [
-      -0.14235032770828077, -0.008676606882762061, 0.19798885766744057,
-      0.21850801222441052,
-    ],
-    [
-      -0.14235032770828077, -0.008676606882762061, 0.29436320591499143,
-      -0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, 0.008676606882762061, -0.29436320591499143,
-      0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, 0.008676606882762061, -0.19798885766744057,
-      -0.21850801222441052,
-    ],
-    [
-      -0.14235032770828077, 0.008676606882762061, -0.0902390606830599,
-      0.2807173865184702,
-    ],
-    [
-      -0.14235032770828077, 0.008676606882762061, 0.13229094724234436,
-      -0.26352313834736496,
-    ],
-    [
-      -0.14235032770828077, 0.008676606882762061, 0.16207225867264702,
-      0.24632889017625964,
-    ],
-    [
-      -0.14235032770828077, 0.008676606882762061, 0.28822791835050043,
-      -0.06220937429405972,
-    ],
-    [
-      -0.14235032770828077, 0.08218600002160734, -0.22397835285213324,
-      0.17349288610145613,
-    ],
-    [
-      -0.14235032770828077, 0.08218600002160734, -0.03826007031367453,
-      -0.2807173865184702,
-    ],
-    [
-      -0.14235032770828077, 0.08218600002160734, 0.2622384231658078,
-      0.10722450041701412,
-    ],
-    [
-      -0.14235032770828077, 0.12761730347379202, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      -0.14235032770828077, 0.12761730347379202, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      -0.14235032770828077, 0.12761730347379202, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      -0.14235032770828077, 0.1556953931604526, -0.24996784803682592,
-      -0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, 0.1556953931604526, -0.19040522517622066,
-      -0.16286625632071233,
-    ],
-    [
-      -0.14235032770828077, 0.1556953931604526, -0.04584370280489444,
-      0.24632889017625964,
-    ],
-    [
-      -0.14235032770828077, 0.1556953931604526, 0.11009326830326166,
-      0.22507563061477204,
-    ],
-    [
-      -0.14235032770828077, 0.1556953931604526, 0.1398745797335643,
-      -0.20788138244366672,
-    ],
-    [
-      -0.14235032770828077, 0.1556953931604526, 0.23624892798111513,
-      -0.08346263385554731,
-    ],
-    [
-      -0.14235032770828077, 0.1837734828471132, -0.2301136404166242,
-      0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, 0.1837734828471132, -0.15214515486254615,
-      -0.17349288610145613,
-    ],
-    [
-      -0.14235032770828077, 0.1837734828471132, -0.07417666930846809,
-      0.21850801222441052,
-    ],
-    [
-      -0.14235032770828077, 0.1837734828471132, 0.10016616449316076,
-      -0.20788138244366672,
-    ],
-    [
-      -0.14235032770828077, 0.1837734828471132, 0.1299474759234634,
-      0.19068713427256145,
-    ],
-    [
-      -0.14235032770828077, 0.1837734828471132, 0.22632182417101426,
-      -0.04501512612295441,
-    ],
-    [
-      -0.14235032770828077, 0.27463608975148257, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      -0.14235032770828077, 0.27463608975148257, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      -0.14235032770828077, 0.27463608975148257, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      -0.14235032770828077, 0.27463608975148257, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      -0.14235032770828077, 0.27463608975148257, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      -0.14235032770828077, 0.27463608975148257, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [-0.12732200375003505, -0.28331269663424463, -0.10395798073877073, 0.0],
-    [
-      -0.12732200375003505, -0.28331269663424463, -0.07417666930846809,
-      -0.0728360040748035,
-    ],
-    [
-      -0.12732200375003505, -0.28331269663424463, -0.025989495184692683,
-      0.10065688202665261,
-    ],
-    [
-      -0.12732200375003505, -0.28331269663424463, 0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, -0.28331269663424463, 0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, -0.28331269663424463, 0.10016616449316076,
-      -0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, -0.2659594828687205, -0.1398745797335643,
-      0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, -0.2659594828687205, -0.08031195687295903,
-      -0.11785113019775792,
-    ],
-    [
-      -0.12732200375003505, -0.2659594828687205, -0.06190609417948624,
-      0.1284777599785017,
-    ],
-    [
-      -0.12732200375003505, -0.2659594828687205, 0.04584370280489444,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, -0.2659594828687205, 0.09403087692866985,
-      0.10722450041701412,
-    ],
-    [
-      -0.12732200375003505, -0.2659594828687205, 0.14221805105244528,
-      -0.010626629780743798,
-    ],
-    [
-      -0.12732200375003505, -0.22052817941653585, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, -0.22052817941653585, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, -0.22052817941653585, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.12732200375003505, -0.22052817941653585, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.12732200375003505, -0.22052817941653585, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, -0.22052817941653585, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [-0.12732200375003505, -0.19245008972987526, -0.23245711173550515, 0.0],
-    [
-      -0.12732200375003505, -0.19245008972987526, -0.165864074918257,
-      -0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, -0.19245008972987526, -0.05811427793387629,
-      0.22507563061477204,
-    ],
-    [
-      -0.12732200375003505, -0.19245008972987526, 0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, -0.19245008972987526, 0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, -0.19245008972987526, 0.22397835285213324,
-      -0.06220937429405972,
-    ],
-    [
-      -0.12732200375003505, -0.16437200004321467, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      -0.12732200375003505, -0.16437200004321467, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      -0.12732200375003505, -0.16437200004321467, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, -0.16437200004321467, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      -0.12732200375003505, -0.16437200004321467, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      -0.12732200375003505, -0.16437200004321467, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, -0.14701878627769055, -0.2301136404166242,
-      0.1284777599785017,
-    ],
-    [
-      -0.12732200375003505, -0.14701878627769055, -0.18192646629284875,
-      0.19068713427256145,
-    ],
-    [
-      -0.12732200375003505, -0.14701878627769055, -0.07417666930846809,
-      -0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, -0.14701878627769055, 0.003791816245609954,
-      -0.26352313834736496,
-    ],
-    [
-      -0.12732200375003505, -0.14701878627769055, 0.22632182417101426,
-      0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, -0.14701878627769055, 0.2561031356013169,
-      0.06220937429405972,
-    ],
-    [
-      -0.12732200375003505, -0.11894069659102999, -0.25844660692019783,
-      0.10065688202665261,
-    ],
-    [
-      -0.12732200375003505, -0.11894069659102999, -0.16207225867264702,
-      0.22507563061477204,
-    ],
-    [
-      -0.12732200375003505, -0.11894069659102999, -0.11388508454887161,
-      -0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, -0.11894069659102999, 0.04205188655928449,
-      -0.27414976812810876,
-    ],
-    [
-      -0.12732200375003505, -0.11894069659102999, 0.21639472036091334,
-      0.17349288610145613,
-    ],
-    [
-      -0.12732200375003505, -0.11894069659102999, 0.27595734322151866,
-      0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, -0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, -0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, -0.2660302394114178,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, -0.1582804424270371,
-      0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, -0.1398745797335643,
-      -0.26352313834736496,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.016062391374591804,
-      0.2979116346895756,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.24996784803682592,
-      -0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, -0.0454313034521847, 0.2981550221606014,
-      0.010626629780743798,
-    ],
-    [-0.12732200375003505, 0.0, -0.3004984934794823, -0.0278208779518491],
-    [-0.12732200375003505, 0.0, -0.28209263078600955, 0.10722450041701412],
-    [-0.12732200375003505, 0.0, -0.23390545666223417, -0.19068713427256145],
-    [-0.12732200375003505, 0.0, -0.17434283380162885, 0.24632889017625964],
-    [-0.12732200375003505, 0.0, -0.12615565967785347, -0.27414976812810876],
-    [-0.12732200375003505, 0.0, -0.048187174123775406, 0.2979116346895756],
-    [-0.12732200375003505, 0.0, 0.048187174123775406, -0.2979116346895756],
-    [-0.12732200375003505, 0.0, 0.12615565967785347, 0.27414976812810876],
-    [-0.12732200375003505, 0.0, 0.17434283380162885, -0.24632889017625964],
-    [-0.12732200375003505, 0.0, 0.23390545666223417, 0.19068713427256145],
-    [-0.12732200375003505, 0.0, 0.28209263078600955, -0.10722450041701412],
-    [-0.12732200375003505, 0.0, 0.3004984934794823, 0.0278208779518491],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.2981550221606014,
-      -0.010626629780743798,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.24996784803682592,
-      0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, -0.016062391374591804,
-      -0.2979116346895756,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, 0.1398745797335643,
-      0.26352313834736496,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, 0.1582804424270371,
-      -0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, 0.2660302394114178,
-      0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, 0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, 0.0454313034521847, 0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, 0.11894069659102999, -0.27595734322151866,
-      -0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, 0.11894069659102999, -0.21639472036091334,
-      -0.17349288610145613,
-    ],
-    [
-      -0.12732200375003505, 0.11894069659102999, -0.04205188655928449,
-      0.27414976812810876,
-    ],
-    [
-      -0.12732200375003505, 0.11894069659102999, 0.11388508454887161,
-      0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, 0.11894069659102999, 0.16207225867264702,
-      -0.22507563061477204,
-    ],
-    [
-      -0.12732200375003505, 0.11894069659102999, 0.25844660692019783,
-      -0.10065688202665261,
-    ],
-    [
-      -0.12732200375003505, 0.14701878627769055, -0.2561031356013169,
-      -0.06220937429405972,
-    ],
-    [
-      -0.12732200375003505, 0.14701878627769055, -0.22632182417101426,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, 0.14701878627769055, -0.003791816245609954,
-      0.26352313834736496,
-    ],
-    [
-      -0.12732200375003505, 0.14701878627769055, 0.07417666930846809,
-      0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, 0.14701878627769055, 0.18192646629284875,
-      -0.19068713427256145,
-    ],
-    [
-      -0.12732200375003505, 0.14701878627769055, 0.2301136404166242,
-      -0.1284777599785017,
-    ],
-    [
-      -0.12732200375003505, 0.16437200004321467, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, 0.16437200004321467, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      -0.12732200375003505, 0.16437200004321467, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      -0.12732200375003505, 0.16437200004321467, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      -0.12732200375003505, 0.16437200004321467, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      -0.12732200375003505, 0.16437200004321467, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      -0.12732200375003505, 0.19245008972987526, -0.22397835285213324,
-      0.06220937429405972,
-    ],
-    [
-      -0.12732200375003505, 0.19245008972987526, -0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, 0.19245008972987526, -0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      -0.12732200375003505, 0.19245008972987526, 0.05811427793387629,
-      -0.22507563061477204,
-    ],
-    [
-      -0.12732200375003505, 0.19245008972987526, 0.165864074918257,
-      0.16286625632071233,
-    ],
-    [-0.12732200375003505, 0.19245008972987526, 0.23245711173550515, 0.0],
-    [
-      -0.12732200375003505, 0.22052817941653585, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, 0.22052817941653585, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, 0.22052817941653585, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.12732200375003505, 0.22052817941653585, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.12732200375003505, 0.22052817941653585, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.12732200375003505, 0.22052817941653585, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, 0.2659594828687205, -0.14221805105244528,
-      0.010626629780743798,
-    ],
-    [
-      -0.12732200375003505, 0.2659594828687205, -0.09403087692866985,
-      -0.10722450041701412,
-    ],
-    [
-      -0.12732200375003505, 0.2659594828687205, -0.04584370280489444,
-      0.1350453783688632,
-    ],
-    [
-      -0.12732200375003505, 0.2659594828687205, 0.06190609417948624,
-      -0.1284777599785017,
-    ],
-    [
-      -0.12732200375003505, 0.2659594828687205, 0.08031195687295903,
-      0.11785113019775792,
-    ],
-    [
-      -0.12732200375003505, 0.2659594828687205, 0.1398745797335643,
-      -0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, 0.28331269663424463, -0.10016616449316076,
-      0.0278208779518491,
-    ],
-    [
-      -0.12732200375003505, 0.28331269663424463, -0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, 0.28331269663424463, -0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      -0.12732200375003505, 0.28331269663424463, 0.025989495184692683,
-      -0.10065688202665261,
-    ],
-    [
-      -0.12732200375003505, 0.28331269663424463, 0.07417666930846809,
-      0.0728360040748035,
-    ],
-    [-0.12732200375003505, 0.28331269663424463, 0.10395798073877073, 0.0],
-    [
-      -0.10300566479164913, -0.2973517414775749, -0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, -0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, -0.054322461688266335,
-      0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, -0.03591659899479356,
-      -0.08346263385554731,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, 0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, 0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, 0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, 0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, -0.2973517414775749, 0.0902390606830599,
-      0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, -0.2799985277120508, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      -0.10300566479164913, -0.2799985277120508, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, -0.2799985277120508, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      -0.10300566479164913, -0.2799985277120508, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, -0.2799985277120508, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, -0.2799985277120508, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      -0.10300566479164913, -0.2519204380253902, -0.17813465004723883,
-      0.038447507732592895,
-    ],
-    [
-      -0.10300566479164913, -0.2519204380253902, -0.10016616449316076,
-      -0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, -0.2519204380253902, -0.081760301799688,
-      0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, -0.2519204380253902, 0.05577080661499532,
-      -0.17349288610145613,
-    ],
-    [
-      -0.10300566479164913, -0.2519204380253902, 0.1223638434322435,
-      0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, -0.2519204380253902, 0.18192646629284875,
-      -0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, -0.20648913457320556, -0.22397835285213324,
-      0.06220937429405972,
-    ],
-    [
-      -0.10300566479164913, -0.20648913457320556, -0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.20648913457320556, -0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.20648913457320556, 0.05811427793387629,
-      -0.22507563061477204,
-    ],
-    [
-      -0.10300566479164913, -0.20648913457320556, 0.165864074918257,
-      0.16286625632071233,
-    ],
-    [-0.10300566479164913, -0.20648913457320556, 0.23245711173550515, 0.0],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.23390545666223417,
-      0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.2041241452319315,
-      -0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, -0.02978131143030264,
-      0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.02978131143030264,
-      -0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.2041241452319315,
-      0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.23390545666223417,
-      -0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, -0.17841104488654497, 0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, -0.16105783112102084, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, -0.16105783112102084, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, -0.16105783112102084, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, -0.15033295519988438, -0.2622384231658078,
-      0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, -0.15033295519988438, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.15033295519988438, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.15033295519988438, 0.06804138174397717,
-      -0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, -0.15033295519988438, 0.19419704142183064,
-      0.19068713427256145,
-    ],
-    [-0.10300566479164913, -0.15033295519988438, 0.2721655269759087, 0.0],
-    [
-      -0.10300566479164913, -0.13297974143436025, -0.2683737107302987,
-      -0.08346263385554731,
-    ],
-    [
-      -0.10300566479164913, -0.13297974143436025, -0.24996784803682592,
-      -0.1284777599785017,
-    ],
-    [
-      -0.10300566479164913, -0.13297974143436025, 0.013718920055710834,
-      0.2807173865184702,
-    ],
-    [
-      -0.10300566479164913, -0.13297974143436025, 0.06190609417948624,
-      0.27414976812810876,
-    ],
-    [
-      -0.10300566479164913, -0.13297974143436025, 0.20646761655081247,
-      -0.19068713427256145,
-    ],
-    [
-      -0.10300566479164913, -0.13297974143436025, 0.23624892798111513,
-      -0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, -0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, -0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, -0.2660302394114178,
-      -0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, -0.1582804424270371,
-      0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, -0.1398745797335643,
-      -0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.016062391374591804,
-      0.2979116346895756,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.24996784803682592,
-      -0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, -0.08754843798217557, 0.2981550221606014,
-      0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, -0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, -0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, -0.2561031356013169,
-      -0.17349288610145613,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, -0.17813465004723883,
-      -0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, -0.1299474759234634,
-      0.2807173865184702,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, -0.022197678939082727,
-      0.3085382644703194,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, 0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, 0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, 0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, 0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, 0.27830081454039957,
-      -0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, -0.03139225860885442, 0.3080821259707023,
-      -0.0278208779518491,
-    ],
-    [
-      -0.10300566479164913, -0.014039044843330288, -0.3104255972895832,
-      0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, -0.014039044843330288, -0.21405124904203238,
-      -0.22507563061477204,
-    ],
-    [
-      -0.10300566479164913, -0.014039044843330288, -0.08789558936417893,
-      0.2979116346895756,
-    ],
-    [
-      -0.10300566479164913, -0.014039044843330288, 0.1460098672980552,
-      -0.27414976812810876,
-    ],
-    [
-      -0.10300566479164913, -0.014039044843330288, 0.16441572999152798,
-      0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, -0.014039044843330288, 0.3019468384062113,
-      -0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, 0.014039044843330288, -0.3019468384062113,
-      0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, 0.014039044843330288, -0.16441572999152798,
-      -0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, 0.014039044843330288, -0.1460098672980552,
-      0.27414976812810876,
-    ],
-    [
-      -0.10300566479164913, 0.014039044843330288, 0.08789558936417893,
-      -0.2979116346895756,
-    ],
-    [
-      -0.10300566479164913, 0.014039044843330288, 0.21405124904203238,
-      0.22507563061477204,
-    ],
-    [
-      -0.10300566479164913, 0.014039044843330288, 0.3104255972895832,
-      -0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, -0.3080821259707023,
-      0.0278208779518491,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, -0.27830081454039957,
-      0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, -0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, -0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, -0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, -0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, 0.022197678939082727,
-      -0.3085382644703194,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, 0.1299474759234634,
-      -0.2807173865184702,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, 0.17813465004723883,
-      0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, 0.2561031356013169,
-      0.17349288610145613,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, 0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, 0.03139225860885442, 0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.2981550221606014,
-      -0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.24996784803682592,
-      0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, -0.016062391374591804,
-      -0.2979116346895756,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, 0.1398745797335643,
-      0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, 0.1582804424270371,
-      -0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, 0.2660302394114178,
-      0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, 0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, 0.08754843798217557, 0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, 0.13297974143436025, -0.23624892798111513,
-      0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, 0.13297974143436025, -0.20646761655081247,
-      0.19068713427256145,
-    ],
-    [
-      -0.10300566479164913, 0.13297974143436025, -0.06190609417948624,
-      -0.27414976812810876,
-    ],
-    [
-      -0.10300566479164913, 0.13297974143436025, -0.013718920055710834,
-      -0.2807173865184702,
-    ],
-    [
-      -0.10300566479164913, 0.13297974143436025, 0.24996784803682592,
-      0.1284777599785017,
-    ],
-    [
-      -0.10300566479164913, 0.13297974143436025, 0.2683737107302987,
-      0.08346263385554731,
-    ],
-    [-0.10300566479164913, 0.15033295519988438, -0.2721655269759087, 0.0],
-    [
-      -0.10300566479164913, 0.15033295519988438, -0.19419704142183064,
-      -0.19068713427256145,
-    ],
-    [
-      -0.10300566479164913, 0.15033295519988438, -0.06804138174397717,
-      0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, 0.15033295519988438, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.15033295519988438, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.15033295519988438, 0.2622384231658078,
-      -0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, 0.16105783112102084, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, 0.16105783112102084, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      -0.10300566479164913, 0.16105783112102084, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.23390545666223417,
-      0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.2041241452319315,
-      -0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, -0.02978131143030264,
-      0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.02978131143030264,
-      -0.25289650856662116,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.2041241452319315,
-      0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.23390545666223417,
-      -0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, 0.17841104488654497, 0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [-0.10300566479164913, 0.20648913457320556, -0.23245711173550515, 0.0],
-    [
-      -0.10300566479164913, 0.20648913457320556, -0.165864074918257,
-      -0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, 0.20648913457320556, -0.05811427793387629,
-      0.22507563061477204,
-    ],
-    [
-      -0.10300566479164913, 0.20648913457320556, 0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.20648913457320556, 0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      -0.10300566479164913, 0.20648913457320556, 0.22397835285213324,
-      -0.06220937429405972,
-    ],
-    [
-      -0.10300566479164913, 0.2519204380253902, -0.18192646629284875,
-      0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, 0.2519204380253902, -0.1223638434322435,
-      -0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, 0.2519204380253902, -0.05577080661499532,
-      0.17349288610145613,
-    ],
-    [
-      -0.10300566479164913, 0.2519204380253902, 0.081760301799688,
-      -0.16286625632071233,
-    ],
-    [
-      -0.10300566479164913, 0.2519204380253902, 0.10016616449316076,
-      0.15223962653996853,
-    ],
-    [
-      -0.10300566479164913, 0.2519204380253902, 0.17813465004723883,
-      -0.038447507732592895,
-    ],
-    [
-      -0.10300566479164913, 0.2799985277120508, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      -0.10300566479164913, 0.2799985277120508, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, 0.2799985277120508, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      -0.10300566479164913, 0.2799985277120508, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      -0.10300566479164913, 0.2799985277120508, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      -0.10300566479164913, 0.2799985277120508, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, -0.0902390606830599,
-      -0.010626629780743798,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, -0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, -0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, -0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, -0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, 0.03591659899479356,
-      0.08346263385554731,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, 0.054322461688266335,
-      -0.0728360040748035,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, 0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      -0.10300566479164913, 0.2973517414775749, 0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      -0.08797734083340344, -0.28867513459481287, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, -0.28867513459481287, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, -0.28867513459481287, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, -0.28867513459481287, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, -0.28867513459481287, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, -0.28867513459481287, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, -0.21516574145596762, -0.2301136404166242,
-      0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, -0.21516574145596762, -0.15214515486254615,
-      -0.17349288610145613,
-    ],
-    [
-      -0.08797734083340344, -0.21516574145596762, -0.07417666930846809,
-      0.21850801222441052,
-    ],
-    [
-      -0.08797734083340344, -0.21516574145596762, 0.10016616449316076,
-      -0.20788138244366672,
-    ],
-    [
-      -0.08797734083340344, -0.21516574145596762, 0.1299474759234634,
-      0.19068713427256145,
-    ],
-    [
-      -0.08797734083340344, -0.21516574145596762, 0.22632182417101426,
-      -0.04501512612295441,
-    ],
-    [
-      -0.08797734083340344, -0.1697344380037829, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, -0.1697344380037829, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      -0.08797734083340344, -0.1697344380037829, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      -0.08797734083340344, -0.14165634831712232, -0.2561031356013169,
-      0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, -0.14165634831712232, -0.17813465004723883,
-      0.21850801222441052,
-    ],
-    [
-      -0.08797734083340344, -0.14165634831712232, -0.10016616449316076,
-      -0.26352313834736496,
-    ],
-    [
-      -0.08797734083340344, -0.14165634831712232, 0.025989495184692683,
-      -0.2807173865184702,
-    ],
-    [
-      -0.08797734083340344, -0.14165634831712232, 0.2301136404166242,
-      0.16286625632071233,
-    ],
-    [
-      -0.08797734083340344, -0.14165634831712232, 0.27830081454039957,
-      0.04501512612295441,
-    ],
-    [
-      -0.08797734083340344, -0.05079374141275293, -0.28822791835050043,
-      -0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, -0.05079374141275293, 0.04205188655928449,
-      0.3085382644703194,
-    ],
-    [
-      -0.08797734083340344, -0.05079374141275293, 0.246176031791216,
-      -0.19068713427256145,
-    ],
-    [
-      -0.08797734083340344, -0.02271565172609235, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, -0.02271565172609235, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      -0.08797734083340344, -0.02271565172609235, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      -0.08797734083340344, -0.02271565172609235, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      -0.08797734083340344, -0.02271565172609235, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      -0.08797734083340344, -0.02271565172609235, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, 0.02271565172609235, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, 0.02271565172609235, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      -0.08797734083340344, 0.02271565172609235, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      -0.08797734083340344, 0.02271565172609235, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      -0.08797734083340344, 0.02271565172609235, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      -0.08797734083340344, 0.02271565172609235, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, 0.05079374141275293, -0.246176031791216,
-      0.19068713427256145,
-    ],
-    [
-      -0.08797734083340344, 0.05079374141275293, -0.04205188655928449,
-      -0.3085382644703194,
-    ],
-    [
-      -0.08797734083340344, 0.05079374141275293, 0.28822791835050043,
-      0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, 0.14165634831712232, -0.27830081454039957,
-      -0.04501512612295441,
-    ],
-    [
-      -0.08797734083340344, 0.14165634831712232, -0.2301136404166242,
-      -0.16286625632071233,
-    ],
-    [
-      -0.08797734083340344, 0.14165634831712232, -0.025989495184692683,
-      0.2807173865184702,
-    ],
-    [
-      -0.08797734083340344, 0.14165634831712232, 0.10016616449316076,
-      0.26352313834736496,
-    ],
-    [
-      -0.08797734083340344, 0.14165634831712232, 0.17813465004723883,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08797734083340344, 0.14165634831712232, 0.2561031356013169,
-      -0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, 0.1697344380037829, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      -0.08797734083340344, 0.1697344380037829, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      -0.08797734083340344, 0.1697344380037829, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, 0.21516574145596762, -0.22632182417101426,
-      0.04501512612295441,
-    ],
-    [
-      -0.08797734083340344, 0.21516574145596762, -0.1299474759234634,
-      -0.19068713427256145,
-    ],
-    [
-      -0.08797734083340344, 0.21516574145596762, -0.10016616449316076,
-      0.20788138244366672,
-    ],
-    [
-      -0.08797734083340344, 0.21516574145596762, 0.07417666930846809,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08797734083340344, 0.21516574145596762, 0.15214515486254615,
-      0.17349288610145613,
-    ],
-    [
-      -0.08797734083340344, 0.21516574145596762, 0.2301136404166242,
-      -0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, 0.28867513459481287, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      -0.08797734083340344, 0.28867513459481287, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, 0.28867513459481287, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, 0.28867513459481287, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      -0.08797734083340344, 0.28867513459481287, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      -0.08797734083340344, 0.28867513459481287, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [-0.07868932583326324, -0.3113907863209052, -0.06424956549836722, 0.0],
-    [
-      -0.07868932583326324, -0.3113907863209052, -0.04584370280489444,
-      -0.04501512612295441,
-    ],
-    [
-      -0.07868932583326324, -0.3113907863209052, -0.016062391374591804,
-      0.06220937429405972,
-    ],
-    [
-      -0.07868932583326324, -0.3113907863209052, 0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, -0.3113907863209052, 0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, -0.3113907863209052, 0.06190609417948624,
-      -0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, -0.2659594828687205, -0.1582804424270371,
-      0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, -0.2659594828687205, -0.11009326830326166,
-      0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, -0.2659594828687205, -0.06190609417948624,
-      -0.16286625632071233,
-    ],
-    [
-      -0.07868932583326324, -0.2659594828687205, 0.016062391374591804,
-      -0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, -0.2659594828687205, 0.14221805105244528,
-      0.10065688202665261,
-    ],
-    [
-      -0.07868932583326324, -0.2659594828687205, 0.1719993624827479,
-      0.0278208779518491,
-    ],
-    [
-      -0.07868932583326324, -0.23788139318205997, -0.19798885766744057,
-      0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, -0.23788139318205997, -0.12002037211336253,
-      0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, -0.23788139318205997, -0.0902390606830599,
-      -0.19068713427256145,
-    ],
-    [
-      -0.07868932583326324, -0.23788139318205997, 0.03591659899479356,
-      -0.20788138244366672,
-    ],
-    [
-      -0.07868932583326324, -0.23788139318205997, 0.16207225867264702,
-      0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, -0.23788139318205997, 0.21025943279642245,
-      0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, -0.19245008972987526, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, -0.19245008972987526, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, -0.19245008972987526, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      -0.07868932583326324, -0.19245008972987526, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      -0.07868932583326324, -0.19245008972987526, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      -0.07868932583326324, -0.19245008972987526, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [-0.07868932583326324, -0.16437200004321467, -0.2721655269759087, 0.0],
-    [
-      -0.07868932583326324, -0.16437200004321467, -0.19419704142183064,
-      -0.19068713427256145,
-    ],
-    [
-      -0.07868932583326324, -0.16437200004321467, -0.06804138174397717,
-      0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, -0.16437200004321467, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, -0.16437200004321467, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, -0.16437200004321467, 0.2622384231658078,
-      -0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, -0.14701878627769055, -0.27830081454039957,
-      -0.04501512612295441,
-    ],
-    [
-      -0.07868932583326324, -0.14701878627769055, -0.2301136404166242,
-      -0.16286625632071233,
-    ],
-    [
-      -0.07868932583326324, -0.14701878627769055, -0.025989495184692683,
-      0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, -0.14701878627769055, 0.10016616449316076,
-      0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, -0.14701878627769055, 0.17813465004723883,
-      -0.21850801222441052,
-    ],
-    [
-      -0.07868932583326324, -0.14701878627769055, 0.2561031356013169,
-      -0.11785113019775792,
-    ],
-    [
-      -0.07868932583326324, -0.11894069659102999, -0.28822791835050043,
-      0.06220937429405972,
-    ],
-    [
-      -0.07868932583326324, -0.11894069659102999, -0.16207225867264702,
-      -0.24632889017625964,
-    ],
-    [
-      -0.07868932583326324, -0.11894069659102999, -0.13229094724234436,
-      0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, -0.11894069659102999, 0.0902390606830599,
-      -0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, -0.11894069659102999, 0.19798885766744057,
-      0.21850801222441052,
-    ],
-    [
-      -0.07868932583326324, -0.11894069659102999, 0.29436320591499143,
-      -0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, -0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, -0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, -0.2561031356013169,
-      -0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, -0.17813465004723883,
-      -0.25289650856662116,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, -0.1299474759234634,
-      0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, -0.022197678939082727,
-      0.3085382644703194,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, 0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, 0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, 0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, 0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, 0.27830081454039957,
-      -0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, -0.07350939313884527, 0.3080821259707023,
-      -0.0278208779518491,
-    ],
-    [
-      -0.07868932583326324, -0.0454313034521847, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, -0.0454313034521847, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      -0.07868932583326324, -0.0454313034521847, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      -0.07868932583326324, -0.0454313034521847, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, -0.0454313034521847, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, -0.0454313034521847, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      -0.07868932583326324, 0.0454313034521847, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      -0.07868932583326324, 0.0454313034521847, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, 0.0454313034521847, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, 0.0454313034521847, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      -0.07868932583326324, 0.0454313034521847, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      -0.07868932583326324, 0.0454313034521847, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, -0.3080821259707023,
-      0.0278208779518491,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, -0.27830081454039957,
-      0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, -0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, -0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, -0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, -0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, 0.022197678939082727,
-      -0.3085382644703194,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, 0.1299474759234634,
-      -0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, 0.17813465004723883,
-      0.25289650856662116,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, 0.2561031356013169,
-      0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, 0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, 0.07350939313884527, 0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, 0.11894069659102999, -0.29436320591499143,
-      0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, 0.11894069659102999, -0.19798885766744057,
-      -0.21850801222441052,
-    ],
-    [
-      -0.07868932583326324, 0.11894069659102999, -0.0902390606830599,
-      0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, 0.11894069659102999, 0.13229094724234436,
-      -0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, 0.11894069659102999, 0.16207225867264702,
-      0.24632889017625964,
-    ],
-    [
-      -0.07868932583326324, 0.11894069659102999, 0.28822791835050043,
-      -0.06220937429405972,
-    ],
-    [
-      -0.07868932583326324, 0.14701878627769055, -0.2561031356013169,
-      0.11785113019775792,
-    ],
-    [
-      -0.07868932583326324, 0.14701878627769055, -0.17813465004723883,
-      0.21850801222441052,
-    ],
-    [
-      -0.07868932583326324, 0.14701878627769055, -0.10016616449316076,
-      -0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, 0.14701878627769055, 0.025989495184692683,
-      -0.2807173865184702,
-    ],
-    [
-      -0.07868932583326324, 0.14701878627769055, 0.2301136404166242,
-      0.16286625632071233,
-    ],
-    [
-      -0.07868932583326324, 0.14701878627769055, 0.27830081454039957,
-      0.04501512612295441,
-    ],
-    [
-      -0.07868932583326324, 0.16437200004321467, -0.2622384231658078,
-      0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, 0.16437200004321467, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, 0.16437200004321467, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.07868932583326324, 0.16437200004321467, 0.06804138174397717,
-      -0.26352313834736496,
-    ],
-    [
-      -0.07868932583326324, 0.16437200004321467, 0.19419704142183064,
-      0.19068713427256145,
-    ],
-    [-0.07868932583326324, 0.16437200004321467, 0.2721655269759087, 0.0],
-    [
-      -0.07868932583326324, 0.19245008972987526, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, 0.19245008972987526, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      -0.07868932583326324, 0.19245008972987526, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      -0.07868932583326324, 0.19245008972987526, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      -0.07868932583326324, 0.19245008972987526, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, 0.19245008972987526, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, 0.23788139318205997, -0.21025943279642245,
-      -0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, 0.23788139318205997, -0.16207225867264702,
-      -0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, 0.23788139318205997, -0.03591659899479356,
-      0.20788138244366672,
-    ],
-    [
-      -0.07868932583326324, 0.23788139318205997, 0.0902390606830599,
-      0.19068713427256145,
-    ],
-    [
-      -0.07868932583326324, 0.23788139318205997, 0.12002037211336253,
-      -0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, 0.23788139318205997, 0.19798885766744057,
-      -0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, 0.2659594828687205, -0.1719993624827479,
-      -0.0278208779518491,
-    ],
-    [
-      -0.07868932583326324, 0.2659594828687205, -0.14221805105244528,
-      -0.10065688202665261,
-    ],
-    [
-      -0.07868932583326324, 0.2659594828687205, -0.016062391374591804,
-      0.17349288610145613,
-    ],
-    [
-      -0.07868932583326324, 0.2659594828687205, 0.06190609417948624,
-      0.16286625632071233,
-    ],
-    [
-      -0.07868932583326324, 0.2659594828687205, 0.11009326830326166,
-      -0.1350453783688632,
-    ],
-    [
-      -0.07868932583326324, 0.2659594828687205, 0.1582804424270371,
-      -0.0728360040748035,
-    ],
-    [
-      -0.07868932583326324, 0.3113907863209052, -0.06190609417948624,
-      0.017194248171105306,
-    ],
-    [
-      -0.07868932583326324, 0.3113907863209052, -0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, 0.3113907863209052, -0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      -0.07868932583326324, 0.3113907863209052, 0.016062391374591804,
-      -0.06220937429405972,
-    ],
-    [
-      -0.07868932583326324, 0.3113907863209052, 0.04584370280489444,
-      0.04501512612295441,
-    ],
-    [-0.07868932583326324, 0.3113907863209052, 0.06424956549836722, 0.0],
-    [
-      -0.06366100187501753, -0.3200673932036673, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, -0.3200673932036673, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, -0.3200673932036673, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      -0.06366100187501753, -0.30271417943814316, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, -0.30271417943814316, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, -0.30271417943814316, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, -0.30271417943814316, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      -0.06366100187501753, -0.30271417943814316, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, -0.30271417943814316, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      -0.06366100187501753, -0.27463608975148257, -0.16441572999152798,
-      0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, -0.27463608975148257, -0.0978226931742798,
-      -0.1350453783688632,
-    ],
-    [
-      -0.06366100187501753, -0.27463608975148257, -0.06804138174397717,
-      0.15223962653996853,
-    ],
-    [
-      -0.06366100187501753, -0.27463608975148257, 0.05811427793387629,
-      -0.15629863793035081,
-    ],
-    [
-      -0.06366100187501753, -0.27463608975148257, 0.10630145205765171,
-      0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, -0.27463608975148257, 0.165864074918257,
-      -0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, -0.25728287598595845, -0.15214515486254615,
-      0.11785113019775792,
-    ],
-    [
-      -0.06366100187501753, -0.25728287598595845, -0.025989495184692683,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.25728287598595845, 0.17813465004723883,
-      0.0728360040748035,
-    ],
-    [
-      -0.06366100187501753, -0.24655800006482204, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, -0.24655800006482204, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, -0.24655800006482204, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.24655800006482204, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.24655800006482204, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, -0.24655800006482204, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, -0.2292047862992979, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      -0.06366100187501753, -0.2292047862992979, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      -0.06366100187501753, -0.2292047862992979, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      -0.06366100187501753, -0.2292047862992979, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, -0.2292047862992979, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, -0.2292047862992979, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, -0.20112669661263732, -0.24996784803682592,
-      -0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, -0.20112669661263732, -0.19040522517622066,
-      -0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, -0.20112669661263732, -0.04584370280489444,
-      0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, -0.20112669661263732, 0.11009326830326166,
-      0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, -0.20112669661263732, 0.1398745797335643,
-      -0.20788138244366672,
-    ],
-    [
-      -0.06366100187501753, -0.20112669661263732, 0.23624892798111513,
-      -0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, -0.1837734828471132, -0.2561031356013169,
-      -0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, -0.1837734828471132, -0.22632182417101426,
-      -0.1350453783688632,
-    ],
-    [
-      -0.06366100187501753, -0.1837734828471132, -0.003791816245609954,
-      0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, -0.1837734828471132, 0.07417666930846809,
-      0.25289650856662116,
-    ],
-    [
-      -0.06366100187501753, -0.1837734828471132, 0.18192646629284875,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.1837734828471132, 0.2301136404166242,
-      -0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, -0.1556953931604526, -0.23624892798111513,
-      0.15223962653996853,
-    ],
-    [
-      -0.06366100187501753, -0.1556953931604526, -0.20646761655081247,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.1556953931604526, -0.06190609417948624,
-      -0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, -0.1556953931604526, -0.013718920055710834,
-      -0.2807173865184702,
-    ],
-    [
-      -0.06366100187501753, -0.1556953931604526, 0.24996784803682592,
-      0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, -0.1556953931604526, 0.2683737107302987,
-      0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, -0.12761730347379202, -0.29436320591499143,
-      0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, -0.12761730347379202, -0.19798885766744057,
-      -0.21850801222441052,
-    ],
-    [
-      -0.06366100187501753, -0.12761730347379202, -0.0902390606830599,
-      0.2807173865184702,
-    ],
-    [
-      -0.06366100187501753, -0.12761730347379202, 0.13229094724234436,
-      -0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, -0.12761730347379202, 0.16207225867264702,
-      0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, -0.12761730347379202, 0.28822791835050043,
-      -0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, -0.3004984934794823,
-      -0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, -0.28209263078600955,
-      0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, -0.23390545666223417,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, -0.17434283380162885,
-      0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, -0.12615565967785347,
-      -0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, -0.048187174123775406,
-      0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, 0.048187174123775406,
-      -0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, 0.12615565967785347,
-      0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, 0.17434283380162885,
-      -0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, 0.23390545666223417,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, 0.28209263078600955,
-      -0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, -0.11026408970826793, 0.3004984934794823,
-      0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, -0.08218600002160734, -0.3104255972895832,
-      0.010626629780743798,
-    ],
-    [
-      -0.06366100187501753, -0.08218600002160734, -0.21405124904203238,
-      -0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, -0.08218600002160734, -0.08789558936417893,
-      0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, -0.08218600002160734, 0.1460098672980552,
-      -0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, -0.08218600002160734, 0.16441572999152798,
-      0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, -0.08218600002160734, 0.3019468384062113,
-      -0.0728360040748035,
-    ],
-    [
-      -0.06366100187501753, -0.06483278625608321, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      -0.06366100187501753, -0.06483278625608321, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, -0.06483278625608321, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      -0.06366100187501753, -0.06483278625608321, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      -0.06366100187501753, -0.06483278625608321, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      -0.06366100187501753, -0.06483278625608321, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, -0.03675469656942264, -0.3080821259707023,
-      -0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, -0.03675469656942264, -0.27830081454039957,
-      -0.15629863793035081,
-    ],
-    [
-      -0.06366100187501753, -0.03675469656942264, 0.003791816245609954,
-      0.3191648942510632,
-    ],
-    [
-      -0.06366100187501753, -0.03675469656942264, 0.081760301799688,
-      0.3085382644703194,
-    ],
-    [
-      -0.06366100187501753, -0.03675469656942264, 0.22632182417101426,
-      -0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, -0.03675469656942264, 0.2745089982947897,
-      -0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, -0.008676606882762061, -0.31800922978080315,
-      -0.04501512612295441,
-    ],
-    [
-      -0.06366100187501753, -0.008676606882762061, -0.25844660692019783,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, -0.008676606882762061, -0.03591659899479356,
-      0.3191648942510632,
-    ],
-    [
-      -0.06366100187501753, -0.008676606882762061, 0.12002037211336253,
-      0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, -0.008676606882762061, 0.19798885766744057,
-      -0.25289650856662116,
-    ],
-    [
-      -0.06366100187501753, -0.008676606882762061, 0.29436320591499143,
-      -0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, 0.008676606882762061, -0.29436320591499143,
-      0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, 0.008676606882762061, -0.19798885766744057,
-      0.25289650856662116,
-    ],
-    [
-      -0.06366100187501753, 0.008676606882762061, -0.12002037211336253,
-      -0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, 0.008676606882762061, 0.03591659899479356,
-      -0.3191648942510632,
-    ],
-    [
-      -0.06366100187501753, 0.008676606882762061, 0.25844660692019783,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.008676606882762061, 0.31800922978080315,
-      0.04501512612295441,
-    ],
-    [
-      -0.06366100187501753, 0.03675469656942264, -0.2745089982947897,
-      0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, 0.03675469656942264, -0.22632182417101426,
-      0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, 0.03675469656942264, -0.081760301799688,
-      -0.3085382644703194,
-    ],
-    [
-      -0.06366100187501753, 0.03675469656942264, -0.003791816245609954,
-      -0.3191648942510632,
-    ],
-    [
-      -0.06366100187501753, 0.03675469656942264, 0.27830081454039957,
-      0.15629863793035081,
-    ],
-    [
-      -0.06366100187501753, 0.03675469656942264, 0.3080821259707023,
-      0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, 0.06483278625608321, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, 0.06483278625608321, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      -0.06366100187501753, 0.06483278625608321, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      -0.06366100187501753, 0.06483278625608321, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      -0.06366100187501753, 0.06483278625608321, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, 0.06483278625608321, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      -0.06366100187501753, 0.08218600002160734, -0.3019468384062113,
-      0.0728360040748035,
-    ],
-    [
-      -0.06366100187501753, 0.08218600002160734, -0.16441572999152798,
-      -0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, 0.08218600002160734, -0.1460098672980552,
-      0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, 0.08218600002160734, 0.08789558936417893,
-      -0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, 0.08218600002160734, 0.21405124904203238,
-      0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, 0.08218600002160734, 0.3104255972895832,
-      -0.010626629780743798,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, -0.3004984934794823,
-      -0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, -0.28209263078600955,
-      0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, -0.23390545666223417,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, -0.17434283380162885,
-      0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, -0.12615565967785347,
-      -0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, -0.048187174123775406,
-      0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, 0.048187174123775406,
-      -0.2979116346895756,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, 0.12615565967785347,
-      0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, 0.17434283380162885,
-      -0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, 0.23390545666223417,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, 0.28209263078600955,
-      -0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, 0.11026408970826793, 0.3004984934794823,
-      0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, 0.12761730347379202, -0.28822791835050043,
-      0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, 0.12761730347379202, -0.16207225867264702,
-      -0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, 0.12761730347379202, -0.13229094724234436,
-      0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, 0.12761730347379202, 0.0902390606830599,
-      -0.2807173865184702,
-    ],
-    [
-      -0.06366100187501753, 0.12761730347379202, 0.19798885766744057,
-      0.21850801222441052,
-    ],
-    [
-      -0.06366100187501753, 0.12761730347379202, 0.29436320591499143,
-      -0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, 0.1556953931604526, -0.2683737107302987,
-      -0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, 0.1556953931604526, -0.24996784803682592,
-      -0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, 0.1556953931604526, 0.013718920055710834,
-      0.2807173865184702,
-    ],
-    [
-      -0.06366100187501753, 0.1556953931604526, 0.06190609417948624,
-      0.27414976812810876,
-    ],
-    [
-      -0.06366100187501753, 0.1556953931604526, 0.20646761655081247,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.1556953931604526, 0.23624892798111513,
-      -0.15223962653996853,
-    ],
-    [
-      -0.06366100187501753, 0.1837734828471132, -0.2301136404166242,
-      0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, 0.1837734828471132, -0.18192646629284875,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.1837734828471132, -0.07417666930846809,
-      -0.25289650856662116,
-    ],
-    [
-      -0.06366100187501753, 0.1837734828471132, 0.003791816245609954,
-      -0.26352313834736496,
-    ],
-    [
-      -0.06366100187501753, 0.1837734828471132, 0.22632182417101426,
-      0.1350453783688632,
-    ],
-    [
-      -0.06366100187501753, 0.1837734828471132, 0.2561031356013169,
-      0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, 0.20112669661263732, -0.23624892798111513,
-      0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, 0.20112669661263732, -0.1398745797335643,
-      0.20788138244366672,
-    ],
-    [
-      -0.06366100187501753, 0.20112669661263732, -0.11009326830326166,
-      -0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, 0.20112669661263732, 0.04584370280489444,
-      -0.24632889017625964,
-    ],
-    [
-      -0.06366100187501753, 0.20112669661263732, 0.19040522517622066,
-      0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, 0.20112669661263732, 0.24996784803682592,
-      0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, 0.2292047862992979, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, 0.2292047862992979, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, 0.2292047862992979, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      -0.06366100187501753, 0.2292047862992979, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      -0.06366100187501753, 0.2292047862992979, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      -0.06366100187501753, 0.2292047862992979, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [
-      -0.06366100187501753, 0.24655800006482204, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, 0.24655800006482204, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, 0.24655800006482204, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.24655800006482204, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.24655800006482204, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      -0.06366100187501753, 0.24655800006482204, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, 0.25728287598595845, -0.17813465004723883,
-      -0.0728360040748035,
-    ],
-    [
-      -0.06366100187501753, 0.25728287598595845, 0.025989495184692683,
-      0.19068713427256145,
-    ],
-    [
-      -0.06366100187501753, 0.25728287598595845, 0.15214515486254615,
-      -0.11785113019775792,
-    ],
-    [
-      -0.06366100187501753, 0.27463608975148257, -0.165864074918257,
-      0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, 0.27463608975148257, -0.10630145205765171,
-      -0.1284777599785017,
-    ],
-    [
-      -0.06366100187501753, 0.27463608975148257, -0.05811427793387629,
-      0.15629863793035081,
-    ],
-    [
-      -0.06366100187501753, 0.27463608975148257, 0.06804138174397717,
-      -0.15223962653996853,
-    ],
-    [
-      -0.06366100187501753, 0.27463608975148257, 0.0978226931742798,
-      0.1350453783688632,
-    ],
-    [
-      -0.06366100187501753, 0.27463608975148257, 0.16441572999152798,
-      -0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, 0.30271417943814316, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      -0.06366100187501753, 0.30271417943814316, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      -0.06366100187501753, 0.30271417943814316, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      -0.06366100187501753, 0.30271417943814316, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      -0.06366100187501753, 0.30271417943814316, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      -0.06366100187501753, 0.30271417943814316, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      -0.06366100187501753, 0.3200673932036673, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      -0.06366100187501753, 0.3200673932036673, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      -0.06366100187501753, 0.3200673932036673, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      -0.03934466291663162, -0.31675322428147346, -0.06804138174397717,
-      -0.0278208779518491,
-    ],
-    [
-      -0.03934466291663162, -0.31675322428147346, 0.009927103810100878,
-      0.0728360040748035,
-    ],
-    [
-      -0.03934466291663162, -0.31675322428147346, 0.05811427793387629,
-      -0.04501512612295441,
-    ],
-    [
-      -0.03934466291663162, -0.2605970449081523, -0.18426993761172977,
-      0.06220937429405972,
-    ],
-    [
-      -0.03934466291663162, -0.2605970449081523, -0.10630145205765171,
-      0.16286625632071233,
-    ],
-    [
-      -0.03934466291663162, -0.2605970449081523, -0.08789558936417893,
-      -0.17349288610145613,
-    ],
-    [
-      -0.03934466291663162, -0.2605970449081523, 0.03826007031367453,
-      -0.19068713427256145,
-    ],
-    [
-      -0.03934466291663162, -0.2605970449081523, 0.1460098672980552,
-      0.1284777599785017,
-    ],
-    [
-      -0.03934466291663162, -0.2605970449081523, 0.19419704142183064,
-      0.010626629780743798,
-    ],
-    [
-      -0.03934466291663162, -0.18708765176930703, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      -0.03934466291663162, -0.18708765176930703, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      -0.03934466291663162, -0.18708765176930703, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      -0.03934466291663162, -0.1697344380037829, -0.27595734322151866,
-      -0.0278208779518491,
-    ],
-    [
-      -0.03934466291663162, -0.1697344380037829, -0.21639472036091334,
-      -0.17349288610145613,
-    ],
-    [
-      -0.03934466291663162, -0.1697344380037829, -0.04205188655928449,
-      0.27414976812810876,
-    ],
-    [
-      -0.03934466291663162, -0.1697344380037829, 0.11388508454887161,
-      0.25289650856662116,
-    ],
-    [
-      -0.03934466291663162, -0.1697344380037829, 0.16207225867264702,
-      -0.22507563061477204,
-    ],
-    [
-      -0.03934466291663162, -0.1697344380037829, 0.25844660692019783,
-      -0.10065688202665261,
-    ],
-    [
-      -0.03934466291663162, -0.09622504486493763, -0.3019468384062113,
-      0.0728360040748035,
-    ],
-    [
-      -0.03934466291663162, -0.09622504486493763, -0.16441572999152798,
-      -0.26352313834736496,
-    ],
-    [
-      -0.03934466291663162, -0.09622504486493763, -0.1460098672980552,
-      0.27414976812810876,
-    ],
-    [
-      -0.03934466291663162, -0.09622504486493763, 0.08789558936417893,
-      -0.2979116346895756,
-    ],
-    [
-      -0.03934466291663162, -0.09622504486493763, 0.21405124904203238,
-      0.22507563061477204,
-    ],
-    [
-      -0.03934466291663162, -0.09622504486493763, 0.3104255972895832,
-      -0.010626629780743798,
-    ],
-    [
-      -0.03934466291663162, -0.05079374141275293, -0.31800922978080315,
-      -0.04501512612295441,
-    ],
-    [
-      -0.03934466291663162, -0.05079374141275293, -0.25844660692019783,
-      -0.19068713427256145,
-    ],
-    [
-      -0.03934466291663162, -0.05079374141275293, -0.03591659899479356,
-      0.3191648942510632,
-    ],
-    [
-      -0.03934466291663162, -0.05079374141275293, 0.12002037211336253,
-      0.2979116346895756,
-    ],
-    [
-      -0.03934466291663162, -0.05079374141275293, 0.19798885766744057,
-      -0.25289650856662116,
-    ],
-    [
-      -0.03934466291663162, -0.05079374141275293, 0.29436320591499143,
-      -0.1284777599785017,
-    ],
-    [
-      -0.03934466291663162, 0.05079374141275293, -0.29436320591499143,
-      0.1284777599785017,
-    ],
-    [
-      -0.03934466291663162, 0.05079374141275293, -0.19798885766744057,
-      0.25289650856662116,
-    ],
-    [
-      -0.03934466291663162, 0.05079374141275293, -0.12002037211336253,
-      -0.2979116346895756,
-    ],
-    [
-      -0.03934466291663162, 0.05079374141275293, 0.03591659899479356,
-      -0.3191648942510632,
-    ],
-    [
-      -0.03934466291663162, 0.05079374141275293, 0.25844660692019783,
-      0.19068713427256145,
-    ],
-    [
-      -0.03934466291663162, 0.05079374141275293, 0.31800922978080315,
-      0.04501512612295441,
-    ],
-    [
-      -0.03934466291663162, 0.09622504486493763, -0.3104255972895832,
-      0.010626629780743798,
-    ],
-    [
-      -0.03934466291663162, 0.09622504486493763, -0.21405124904203238,
-      -0.22507563061477204,
-    ],
-    [
-      -0.03934466291663162, 0.09622504486493763, -0.08789558936417893,
-      0.2979116346895756,
-    ],
-    [
-      -0.03934466291663162, 0.09622504486493763, 0.1460098672980552,
-      -0.27414976812810876,
-    ],
-    [
-      -0.03934466291663162, 0.09622504486493763, 0.16441572999152798,
-      0.26352313834736496,
-    ],
-    [
-      -0.03934466291663162, 0.09622504486493763, 0.3019468384062113,
-      -0.0728360040748035,
-    ],
-    [
-      -0.03934466291663162, 0.1697344380037829, -0.25844660692019783,
-      0.10065688202665261,
-    ],
-    [
-      -0.03934466291663162, 0.1697344380037829, -0.16207225867264702,
-      0.22507563061477204,
-    ],
-    [
-      -0.03934466291663162, 0.1697344380037829, -0.11388508454887161,
-      -0.25289650856662116,
-    ],
-    [
-      -0.03934466291663162, 0.1697344380037829, 0.04205188655928449,
-      -0.27414976812810876,
-    ],
-    [
-      -0.03934466291663162, 0.1697344380037829, 0.21639472036091334,
-      0.17349288610145613,
-    ],
-    [
-      -0.03934466291663162, 0.1697344380037829, 0.27595734322151866,
-      0.0278208779518491,
-    ],
-    [
-      -0.03934466291663162, 0.18708765176930703, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      -0.03934466291663162, 0.18708765176930703, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      -0.03934466291663162, 0.18708765176930703, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      -0.03934466291663162, 0.2605970449081523, -0.19419704142183064,
-      -0.010626629780743798,
-    ],
-    [
-      -0.03934466291663162, 0.2605970449081523, -0.1460098672980552,
-      -0.1284777599785017,
-    ],
-    [
-      -0.03934466291663162, 0.2605970449081523, -0.03826007031367453,
-      0.19068713427256145,
-    ],
-    [
-      -0.03934466291663162, 0.2605970449081523, 0.08789558936417893,
-      0.17349288610145613,
-    ],
-    [
-      -0.03934466291663162, 0.2605970449081523, 0.10630145205765171,
-      -0.16286625632071233,
-    ],
-    [
-      -0.03934466291663162, 0.2605970449081523, 0.18426993761172977,
-      -0.06220937429405972,
-    ],
-    [
-      -0.03934466291663162, 0.31675322428147346, -0.05811427793387629,
-      0.04501512612295441,
-    ],
-    [
-      -0.03934466291663162, 0.31675322428147346, -0.009927103810100878,
-      -0.0728360040748035,
-    ],
-    [
-      -0.03934466291663162, 0.31675322428147346, 0.06804138174397717,
-      0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, -0.3254298311642355, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      -0.02431633895838591, -0.3254298311642355, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, -0.3254298311642355, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      -0.02431633895838591, -0.2973517414775749, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, -0.2973517414775749, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      -0.02431633895838591, -0.2973517414775749, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, -0.2973517414775749, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      -0.02431633895838591, -0.2973517414775749, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, -0.2973517414775749, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [-0.02431633895838591, -0.2799985277120508, -0.16820754623713796, 0.0],
-    [
-      -0.02431633895838591, -0.2799985277120508, -0.12002037211336253,
-      -0.11785113019775792,
-    ],
-    [
-      -0.02431633895838591, -0.2799985277120508, -0.04205188655928449,
-      0.16286625632071233,
-    ],
-    [
-      -0.02431633895838591, -0.2799985277120508, 0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.2799985277120508, 0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.2799985277120508, 0.16207225867264702,
-      -0.04501512612295441,
-    ],
-    [-0.02431633895838591, -0.2519204380253902, -0.20791596147754146, 0.0],
-    [
-      -0.02431633895838591, -0.2519204380253902, -0.17813465004723883,
-      0.10722450041701412,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, -0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, -0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, -0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, -0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, -0.003791816245609954,
-      -0.20788138244366672,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, 0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, 0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, 0.18192646629284875,
-      0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, 0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, -0.2519204380253902, 0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, -0.23624892798111513,
-      -0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, -0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, -0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, -0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, -0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, 0.09403087692866985,
-      0.21850801222441052,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, 0.14221805105244528,
-      -0.19068713427256145,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, 0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, -0.22384234833872968, 0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, -0.20648913457320556, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      -0.02431633895838591, -0.20648913457320556, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      -0.02431633895838591, -0.20648913457320556, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, -0.20648913457320556, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      -0.02431633895838591, -0.20648913457320556, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      -0.02431633895838591, -0.20648913457320556, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.2981550221606014,
-      -0.010626629780743798,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.24996784803682592,
-      0.16286625632071233,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, -0.016062391374591804,
-      -0.2979116346895756,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, 0.1398745797335643,
-      0.26352313834736496,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, 0.1582804424270371,
-      -0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, 0.2660302394114178,
-      0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, 0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, -0.13297974143436025, 0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, -0.3080821259707023,
-      0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, -0.27830081454039957,
-      0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, -0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, -0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, -0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, -0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, 0.022197678939082727,
-      -0.3085382644703194,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, 0.1299474759234634,
-      -0.2807173865184702,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, 0.17813465004723883,
-      0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, 0.2561031356013169,
-      0.17349288610145613,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, 0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, -0.10490165174769969, 0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, -0.08754843798217557, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      -0.02431633895838591, -0.08754843798217557, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      -0.02431633895838591, -0.08754843798217557, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      -0.02431633895838591, -0.08754843798217557, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      -0.02431633895838591, -0.08754843798217557, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      -0.02431633895838591, -0.08754843798217557, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, -0.059470348295514994, -0.29436320591499143,
-      0.1284777599785017,
-    ],
-    [
-      -0.02431633895838591, -0.059470348295514994, -0.19798885766744057,
-      0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, -0.059470348295514994, -0.12002037211336253,
-      -0.2979116346895756,
-    ],
-    [
-      -0.02431633895838591, -0.059470348295514994, 0.03591659899479356,
-      -0.3191648942510632,
-    ],
-    [
-      -0.02431633895838591, -0.059470348295514994, 0.25844660692019783,
-      0.19068713427256145,
-    ],
-    [
-      -0.02431633895838591, -0.059470348295514994, 0.31800922978080315,
-      0.04501512612295441,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, -0.3104255972895832,
-      -0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, -0.2920197345961104,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, -0.2920197345961104,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, -0.21405124904203238,
-      0.24632889017625964,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, -0.10630145205765171,
-      -0.3085382644703194,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.019854207620201757,
-      -0.32573251264142467,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.019854207620201757,
-      0.32573251264142467,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.06804138174397717,
-      0.3191648942510632,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.24238421554560602,
-      -0.21850801222441052,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.2721655269759087,
-      -0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.2721655269759087,
-      0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, -0.014039044843330288, 0.32035270109968406,
-      0.06220937429405972,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.32035270109968406,
-      -0.06220937429405972,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.2721655269759087,
-      -0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.2721655269759087,
-      0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.24238421554560602,
-      0.21850801222441052,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.06804138174397717,
-      -0.3191648942510632,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.019854207620201757,
-      -0.32573251264142467,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, -0.019854207620201757,
-      0.32573251264142467,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, 0.10630145205765171,
-      0.3085382644703194,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, 0.21405124904203238,
-      -0.24632889017625964,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, 0.2920197345961104,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, 0.2920197345961104,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.014039044843330288, 0.3104255972895832,
-      0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, 0.059470348295514994, -0.31800922978080315,
-      -0.04501512612295441,
-    ],
-    [
-      -0.02431633895838591, 0.059470348295514994, -0.25844660692019783,
-      -0.19068713427256145,
-    ],
-    [
-      -0.02431633895838591, 0.059470348295514994, -0.03591659899479356,
-      0.3191648942510632,
-    ],
-    [
-      -0.02431633895838591, 0.059470348295514994, 0.12002037211336253,
-      0.2979116346895756,
-    ],
-    [
-      -0.02431633895838591, 0.059470348295514994, 0.19798885766744057,
-      -0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, 0.059470348295514994, 0.29436320591499143,
-      -0.1284777599785017,
-    ],
-    [
-      -0.02431633895838591, 0.08754843798217557, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, 0.08754843798217557, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      -0.02431633895838591, 0.08754843798217557, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      -0.02431633895838591, 0.08754843798217557, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      -0.02431633895838591, 0.08754843798217557, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      -0.02431633895838591, 0.08754843798217557, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, -0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, -0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, -0.2561031356013169,
-      -0.17349288610145613,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, -0.17813465004723883,
-      -0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, -0.1299474759234634,
-      0.2807173865184702,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, -0.022197678939082727,
-      0.3085382644703194,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, 0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, 0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, 0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, 0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, 0.27830081454039957,
-      -0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, 0.10490165174769969, 0.3080821259707023,
-      -0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, -0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, -0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, -0.2660302394114178,
-      -0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, -0.1582804424270371,
-      0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, -0.1398745797335643,
-      -0.26352313834736496,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.016062391374591804,
-      0.2979116346895756,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.24996784803682592,
-      -0.16286625632071233,
-    ],
-    [
-      -0.02431633895838591, 0.13297974143436025, 0.2981550221606014,
-      0.010626629780743798,
-    ],
-    [
-      -0.02431633895838591, 0.20648913457320556, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, 0.20648913457320556, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      -0.02431633895838591, 0.20648913457320556, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      -0.02431633895838591, 0.20648913457320556, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      -0.02431633895838591, 0.20648913457320556, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      -0.02431633895838591, 0.20648913457320556, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, -0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, -0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, -0.14221805105244528,
-      0.19068713427256145,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, -0.09403087692866985,
-      -0.21850801222441052,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, 0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, 0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, 0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, 0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.22384234833872968, 0.23624892798111513,
-      0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, -0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, -0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, -0.18192646629284875,
-      -0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, -0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, -0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, 0.003791816245609954,
-      0.20788138244366672,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, 0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, 0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, 0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, 0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.2519204380253902, 0.17813465004723883,
-      -0.10722450041701412,
-    ],
-    [-0.02431633895838591, 0.2519204380253902, 0.20791596147754146, 0.0],
-    [
-      -0.02431633895838591, 0.2799985277120508, -0.16207225867264702,
-      0.04501512612295441,
-    ],
-    [
-      -0.02431633895838591, 0.2799985277120508, -0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.2799985277120508, -0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      -0.02431633895838591, 0.2799985277120508, 0.04205188655928449,
-      -0.16286625632071233,
-    ],
-    [
-      -0.02431633895838591, 0.2799985277120508, 0.12002037211336253,
-      0.11785113019775792,
-    ],
-    [-0.02431633895838591, 0.2799985277120508, 0.16820754623713796, 0.0],
-    [
-      -0.02431633895838591, 0.2973517414775749, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      -0.02431633895838591, 0.2973517414775749, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      -0.02431633895838591, 0.2973517414775749, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      -0.02431633895838591, 0.2973517414775749, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      -0.02431633895838591, 0.2973517414775749, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      -0.02431633895838591, 0.2973517414775749, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, 0.3254298311642355, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      -0.02431633895838591, 0.3254298311642355, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      -0.02431633895838591, 0.3254298311642355, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [0.0, -0.3113907863209052, -0.09403087692866985, -0.038447507732592895],
-    [0.0, -0.3113907863209052, 0.013718920055710834, 0.10065688202665261],
-    [0.0, -0.3113907863209052, 0.08031195687295903, -0.06220937429405972],
-    [0.0, -0.28331269663424463, -0.15214515486254615, -0.06220937429405972],
-    [0.0, -0.28331269663424463, 0.022197678939082727, 0.16286625632071233],
-    [0.0, -0.28331269663424463, 0.1299474759234634, -0.10065688202665261],
-    [0.0, -0.2659594828687205, -0.1880617538573397, -0.03438849634221061],
-    [0.0, -0.2659594828687205, -0.1880617538573397, 0.03438849634221061],
-    [0.0, -0.2659594828687205, -0.1582804424270371, -0.10722450041701412],
-    [0.0, -0.2659594828687205, -0.11009326830326166, -0.15629863793035081],
-    [0.0, -0.2659594828687205, -0.08031195687295903, 0.17349288610145613],
-    [0.0, -0.2659594828687205, -0.013718920055710834, 0.19068713427256145],
-    [0.0, -0.2659594828687205, 0.06424956549836722, -0.18006050449181765],
-    [0.0, -0.2659594828687205, 0.06424956549836722, 0.18006050449181765],
-    [0.0, -0.2659594828687205, 0.12381218835897248, -0.145672008149607],
-    [0.0, -0.2659594828687205, 0.12381218835897248, 0.145672008149607],
-    [0.0, -0.2659594828687205, 0.1719993624827479, -0.08346263385554731],
-    [0.0, -0.2659594828687205, 0.19040522517622066, -0.017194248171105306],
-    [0.0, -0.23788139318205997, -0.21639472036091334, -0.06220937429405972],
-    [0.0, -0.23788139318205997, -0.19798885766744057, -0.10722450041701412],
-    [0.0, -0.23788139318205997, 0.006135287564490924, 0.22507563061477204],
-    [0.0, -0.23788139318205997, 0.054322461688266335, 0.21850801222441052],
-    [0.0, -0.23788139318205997, 0.16207225867264702, -0.15629863793035081],
-    [0.0, -0.23788139318205997, 0.19185357010294968, -0.11785113019775792],
-    [0.0, -0.19245008972987526, -0.2622384231658078, -0.038447507732592895],
-    [0.0, -0.19245008972987526, -0.21405124904203238, -0.15629863793035081],
-    [0.0, -0.19245008972987526, -0.028332966503573656, 0.26352313834736496],
-    [0.0, -0.19245008972987526, 0.0978226931742798, 0.24632889017625964],
-    [0.0, -0.19245008972987526, 0.16441572999152798, -0.20788138244366672],
-    [0.0, -0.19245008972987526, 0.24238421554560602, -0.10722450041701412],
-    [0.0, -0.16437200004321467, -0.22397835285213324, 0.17349288610145613],
-    [0.0, -0.16437200004321467, -0.03826007031367453, -0.2807173865184702],
-    [0.0, -0.16437200004321467, 0.2622384231658078, 0.10722450041701412],
-    [0.0, -0.10158748282550586, -0.246176031791216, 0.19068713427256145],
-    [0.0, -0.10158748282550586, -0.04205188655928449, -0.3085382644703194],
-    [0.0, -0.10158748282550586, 0.28822791835050043, 0.11785113019775792],
-    [0.0, -0.0908626069043694, -0.2981550221606014, 0.10065688202665261],
-    [0.0, -0.0908626069043694, -0.1719993624827479, 0.26352313834736496],
-    [0.0, -0.0908626069043694, -0.14221805105244528, -0.2807173865184702],
-    [0.0, -0.0908626069043694, 0.06190609417948624, -0.3085382644703194],
-    [0.0, -0.0908626069043694, 0.23624892798111513, 0.20788138244366672],
-    [0.0, -0.0908626069043694, 0.31421741353519317, 0.017194248171105306],
-    [0.0, -0.07350939313884527, -0.2745089982947897, 0.16286625632071233],
-    [0.0, -0.07350939313884527, -0.22632182417101426, 0.22507563061477204],
-    [0.0, -0.07350939313884527, -0.081760301799688, -0.3085382644703194],
-    [0.0, -0.07350939313884527, -0.003791816245609954, -0.3191648942510632],
-    [0.0, -0.07350939313884527, 0.27830081454039957, 0.15629863793035081],
-    [0.0, -0.07350939313884527, 0.3080821259707023, 0.08346263385554731],
-    [0.0, -0.028078089686660576, -0.32035270109968406, -0.06220937429405972],
-    [0.0, -0.028078089686660576, -0.2721655269759087, -0.18006050449181765],
-    [0.0, -0.028078089686660576, -0.2721655269759087, 0.18006050449181765],
-    [0.0, -0.028078089686660576, -0.24238421554560602, 0.21850801222441052],
-    [0.0, -0.028078089686660576, -0.06804138174397717, -0.3191648942510632],
-    [0.0, -0.028078089686660576, -0.019854207620201757, -0.32573251264142467],
-    [0.0, -0.028078089686660576, -0.019854207620201757, 0.32573251264142467],
-    [0.0, -0.028078089686660576, 0.10630145205765171, 0.3085382644703194],
-    [0.0, -0.028078089686660576, 0.21405124904203238, -0.24632889017625964],
-    [0.0, -0.028078089686660576, 0.2920197345961104, -0.145672008149607],
-    [0.0, -0.028078089686660576, 0.2920197345961104, 0.145672008149607],
-    [0.0, -0.028078089686660576, 0.3104255972895832, 0.10065688202665261],
-    [0.0, 0.028078089686660576, -0.3104255972895832, -0.10065688202665261],
-    [0.0, 0.028078089686660576, -0.2920197345961104, -0.145672008149607],
-    [0.0, 0.028078089686660576, -0.2920197345961104, 0.145672008149607],
-    [0.0, 0.028078089686660576, -0.21405124904203238, 0.24632889017625964],
-    [0.0, 0.028078089686660576, -0.10630145205765171, -0.3085382644703194],
-    [0.0, 0.028078089686660576, 0.019854207620201757, -0.32573251264142467],
-    [0.0, 0.028078089686660576, 0.019854207620201757, 0.32573251264142467],
-    [0.0, 0.028078089686660576, 0.06804138174397717, 0.3191648942510632],
-    [0.0, 0.028078089686660576, 0.24238421554560602, -0.21850801222441052],
-    [0.0, 0.028078089686660576, 0.2721655269759087, -0.18006050449181765],
-    [0.0, 0.028078089686660576, 0.2721655269759087, 0.18006050449181765],
-    [0.0, 0.028078089686660576, 0.32035270109968406, 0.06220937429405972],
-    [0.0, 0.07350939313884527, -0.3080821259707023, -0.08346263385554731],
-    [0.0, 0.07350939313884527, -0.27830081454039957, -0.15629863793035081],
-    [0.0, 0.07350939313884527, 0.003791816245609954, 0.3191648942510632],
-    [0.0, 0.07350939313884527, 0.081760301799688, 0.3085382644703194],
-    [0.0, 0.07350939313884527, 0.22632182417101426, -0.22507563061477204],
-    [0.0, 0.07350939313884527, 0.2745089982947897, -0.16286625632071233],
-    [0.0, 0.0908626069043694, -0.31421741353519317, -0.017194248171105306],
-    [0.0, 0.0908626069043694, -0.23624892798111513, -0.20788138244366672],
-    [0.0, 0.0908626069043694, -0.06190609417948624, 0.3085382644703194],
-    [0.0, 0.0908626069043694, 0.14221805105244528, 0.2807173865184702],
-    [0.0, 0.0908626069043694, 0.1719993624827479, -0.26352313834736496],
-    [0.0, 0.0908626069043694, 0.2981550221606014, -0.10065688202665261],
-    [0.0, 0.10158748282550586, -0.28822791835050043, -0.11785113019775792],
-    [0.0, 0.10158748282550586, 0.04205188655928449, 0.3085382644703194],
-    [0.0, 0.10158748282550586, 0.246176031791216, -0.19068713427256145],
-    [0.0, 0.16437200004321467, -0.2622384231658078, -0.10722450041701412],
-    [0.0, 0.16437200004321467, 0.03826007031367453, 0.2807173865184702],
-    [0.0, 0.16437200004321467, 0.22397835285213324, -0.17349288610145613],
-    [0.0, 0.19245008972987526, -0.24238421554560602, 0.10722450041701412],
-    [0.0, 0.19245008972987526, -0.16441572999152798, 0.20788138244366672],
-    [0.0, 0.19245008972987526, -0.0978226931742798, -0.24632889017625964],
-    [0.0, 0.19245008972987526, 0.028332966503573656, -0.26352313834736496],
-    [0.0, 0.19245008972987526, 0.21405124904203238, 0.15629863793035081],
-    [0.0, 0.19245008972987526, 0.2622384231658078, 0.038447507732592895],
-    [0.0, 0.23788139318205997, -0.19185357010294968, 0.11785113019775792],
-    [0.0, 0.23788139318205997, -0.16207225867264702, 0.15629863793035081],
-    [0.0, 0.23788139318205997, -0.054322461688266335, -0.21850801222441052],
-    [0.0, 0.23788139318205997, -0.006135287564490924, -0.22507563061477204],
-    [0.0, 0.23788139318205997, 0.19798885766744057, 0.10722450041701412],
-    [0.0, 0.23788139318205997, 0.21639472036091334, 0.06220937429405972],
-    [0.0, 0.2659594828687205, -0.19040522517622066, 0.017194248171105306],
-    [0.0, 0.2659594828687205, -0.1719993624827479, 0.08346263385554731],
-    [0.0, 0.2659594828687205, -0.12381218835897248, -0.145672008149607],
-    [0.0, 0.2659594828687205, -0.12381218835897248, 0.145672008149607],
-    [0.0, 0.2659594828687205, -0.06424956549836722, -0.18006050449181765],
-    [0.0, 0.2659594828687205, -0.06424956549836722, 0.18006050449181765],
-    [0.0, 0.2659594828687205, 0.013718920055710834, -0.19068713427256145],
-    [0.0, 0.2659594828687205, 0.08031195687295903, -0.17349288610145613],
-    [0.0, 0.2659594828687205, 0.11009326830326166, 0.15629863793035081],
-    [0.0, 0.2659594828687205, 0.1582804424270371, 0.10722450041701412],
-    [0.0, 0.2659594828687205, 0.1880617538573397, -0.03438849634221061],
-    [0.0, 0.2659594828687205, 0.1880617538573397, 0.03438849634221061],
-    [0.0, 0.28331269663424463, -0.1299474759234634, 0.10065688202665261],
-    [0.0, 0.28331269663424463, -0.022197678939082727, -0.16286625632071233],
-    [0.0, 0.28331269663424463, 0.15214515486254615, 0.06220937429405972],
-    [0.0, 0.3113907863209052, -0.08031195687295903, 0.06220937429405972],
-    [0.0, 0.3113907863209052, -0.013718920055710834, -0.10065688202665261],
-    [0.0, 0.3113907863209052, 0.09403087692866985, 0.038447507732592895],
-    [
-      0.02431633895838591, -0.3254298311642355, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      0.02431633895838591, -0.3254298311642355, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, -0.3254298311642355, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      0.02431633895838591, -0.2973517414775749, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, -0.2973517414775749, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      0.02431633895838591, -0.2973517414775749, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, -0.2973517414775749, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      0.02431633895838591, -0.2973517414775749, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, -0.2973517414775749, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [0.02431633895838591, -0.2799985277120508, -0.16820754623713796, 0.0],
-    [
-      0.02431633895838591, -0.2799985277120508, -0.12002037211336253,
-      -0.11785113019775792,
-    ],
-    [
-      0.02431633895838591, -0.2799985277120508, -0.04205188655928449,
-      0.16286625632071233,
-    ],
-    [
-      0.02431633895838591, -0.2799985277120508, 0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.2799985277120508, 0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.2799985277120508, 0.16207225867264702,
-      -0.04501512612295441,
-    ],
-    [0.02431633895838591, -0.2519204380253902, -0.20791596147754146, 0.0],
-    [
-      0.02431633895838591, -0.2519204380253902, -0.17813465004723883,
-      0.10722450041701412,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, -0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, -0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, -0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, -0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, -0.003791816245609954,
-      -0.20788138244366672,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, 0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, 0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, 0.18192646629284875,
-      0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, 0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, -0.2519204380253902, 0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, -0.23624892798111513,
-      -0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, -0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, -0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, -0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, -0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, 0.09403087692866985,
-      0.21850801222441052,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, 0.14221805105244528,
-      -0.19068713427256145,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, 0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, -0.22384234833872968, 0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, -0.20648913457320556, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      0.02431633895838591, -0.20648913457320556, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      0.02431633895838591, -0.20648913457320556, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, -0.20648913457320556, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      0.02431633895838591, -0.20648913457320556, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      0.02431633895838591, -0.20648913457320556, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.2981550221606014,
-      -0.010626629780743798,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.24996784803682592,
-      0.16286625632071233,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, -0.016062391374591804,
-      -0.2979116346895756,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, 0.1398745797335643,
-      0.26352313834736496,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, 0.1582804424270371,
-      -0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, 0.2660302394114178,
-      0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, 0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, -0.13297974143436025, 0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, -0.3080821259707023,
-      0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, -0.27830081454039957,
-      0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, -0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, -0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, -0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, -0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, 0.022197678939082727,
-      -0.3085382644703194,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, 0.1299474759234634,
-      -0.2807173865184702,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, 0.17813465004723883,
-      0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, 0.2561031356013169,
-      0.17349288610145613,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, 0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, -0.10490165174769969, 0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, -0.08754843798217557, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      0.02431633895838591, -0.08754843798217557, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      0.02431633895838591, -0.08754843798217557, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      0.02431633895838591, -0.08754843798217557, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      0.02431633895838591, -0.08754843798217557, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      0.02431633895838591, -0.08754843798217557, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, -0.059470348295514994, -0.29436320591499143,
-      0.1284777599785017,
-    ],
-    [
-      0.02431633895838591, -0.059470348295514994, -0.19798885766744057,
-      0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, -0.059470348295514994, -0.12002037211336253,
-      -0.2979116346895756,
-    ],
-    [
-      0.02431633895838591, -0.059470348295514994, 0.03591659899479356,
-      -0.3191648942510632,
-    ],
-    [
-      0.02431633895838591, -0.059470348295514994, 0.25844660692019783,
-      0.19068713427256145,
-    ],
-    [
-      0.02431633895838591, -0.059470348295514994, 0.31800922978080315,
-      0.04501512612295441,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, -0.3104255972895832,
-      -0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, -0.2920197345961104,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, -0.2920197345961104,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, -0.21405124904203238,
-      0.24632889017625964,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, -0.10630145205765171,
-      -0.3085382644703194,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.019854207620201757,
-      -0.32573251264142467,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.019854207620201757,
-      0.32573251264142467,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.06804138174397717,
-      0.3191648942510632,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.24238421554560602,
-      -0.21850801222441052,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.2721655269759087,
-      -0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.2721655269759087,
-      0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, -0.014039044843330288, 0.32035270109968406,
-      0.06220937429405972,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.32035270109968406,
-      -0.06220937429405972,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.2721655269759087,
-      -0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.2721655269759087,
-      0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.24238421554560602,
-      0.21850801222441052,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.06804138174397717,
-      -0.3191648942510632,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.019854207620201757,
-      -0.32573251264142467,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, -0.019854207620201757,
-      0.32573251264142467,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, 0.10630145205765171,
-      0.3085382644703194,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, 0.21405124904203238,
-      -0.24632889017625964,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, 0.2920197345961104,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, 0.2920197345961104,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.014039044843330288, 0.3104255972895832,
-      0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, 0.059470348295514994, -0.31800922978080315,
-      -0.04501512612295441,
-    ],
-    [
-      0.02431633895838591, 0.059470348295514994, -0.25844660692019783,
-      -0.19068713427256145,
-    ],
-    [
-      0.02431633895838591, 0.059470348295514994, -0.03591659899479356,
-      0.3191648942510632,
-    ],
-    [
-      0.02431633895838591, 0.059470348295514994, 0.12002037211336253,
-      0.2979116346895756,
-    ],
-    [
-      0.02431633895838591, 0.059470348295514994, 0.19798885766744057,
-      -0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, 0.059470348295514994, 0.29436320591499143,
-      -0.1284777599785017,
-    ],
-    [
-      0.02431633895838591, 0.08754843798217557, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, 0.08754843798217557, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      0.02431633895838591, 0.08754843798217557, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      0.02431633895838591, 0.08754843798217557, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      0.02431633895838591, 0.08754843798217557, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      0.02431633895838591, 0.08754843798217557, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, -0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, -0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, -0.2561031356013169,
-      -0.17349288610145613,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, -0.17813465004723883,
-      -0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, -0.1299474759234634,
-      0.2807173865184702,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, -0.022197678939082727,
-      0.3085382644703194,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, 0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, 0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, 0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, 0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, 0.27830081454039957,
-      -0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, 0.10490165174769969, 0.3080821259707023,
-      -0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, -0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, -0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, -0.2660302394114178,
-      -0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, -0.1582804424270371,
-      0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, -0.1398745797335643,
-      -0.26352313834736496,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.016062391374591804,
-      0.2979116346895756,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.24996784803682592,
-      -0.16286625632071233,
-    ],
-    [
-      0.02431633895838591, 0.13297974143436025, 0.2981550221606014,
-      0.010626629780743798,
-    ],
-    [
-      0.02431633895838591, 0.20648913457320556, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, 0.20648913457320556, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      0.02431633895838591, 0.20648913457320556, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      0.02431633895838591, 0.20648913457320556, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      0.02431633895838591, 0.20648913457320556, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      0.02431633895838591, 0.20648913457320556, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, -0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, -0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, -0.14221805105244528,
-      0.19068713427256145,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, -0.09403087692866985,
-      -0.21850801222441052,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, 0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, 0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, 0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, 0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.22384234833872968, 0.23624892798111513,
-      0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, -0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, -0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, -0.18192646629284875,
-      -0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, -0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, -0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, 0.003791816245609954,
-      0.20788138244366672,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, 0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, 0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, 0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, 0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.2519204380253902, 0.17813465004723883,
-      -0.10722450041701412,
-    ],
-    [0.02431633895838591, 0.2519204380253902, 0.20791596147754146, 0.0],
-    [
-      0.02431633895838591, 0.2799985277120508, -0.16207225867264702,
-      0.04501512612295441,
-    ],
-    [
-      0.02431633895838591, 0.2799985277120508, -0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.2799985277120508, -0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      0.02431633895838591, 0.2799985277120508, 0.04205188655928449,
-      -0.16286625632071233,
-    ],
-    [
-      0.02431633895838591, 0.2799985277120508, 0.12002037211336253,
-      0.11785113019775792,
-    ],
-    [0.02431633895838591, 0.2799985277120508, 0.16820754623713796, 0.0],
-    [
-      0.02431633895838591, 0.2973517414775749, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      0.02431633895838591, 0.2973517414775749, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      0.02431633895838591, 0.2973517414775749, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      0.02431633895838591, 0.2973517414775749, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      0.02431633895838591, 0.2973517414775749, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      0.02431633895838591, 0.2973517414775749, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, 0.3254298311642355, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      0.02431633895838591, 0.3254298311642355, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      0.02431633895838591, 0.3254298311642355, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      0.03934466291663162, -0.31675322428147346, -0.06804138174397717,
-      -0.0278208779518491,
-    ],
-    [
-      0.03934466291663162, -0.31675322428147346, 0.009927103810100878,
-      0.0728360040748035,
-    ],
-    [
-      0.03934466291663162, -0.31675322428147346, 0.05811427793387629,
-      -0.04501512612295441,
-    ],
-    [
-      0.03934466291663162, -0.2605970449081523, -0.18426993761172977,
-      0.06220937429405972,
-    ],
-    [
-      0.03934466291663162, -0.2605970449081523, -0.10630145205765171,
-      0.16286625632071233,
-    ],
-    [
-      0.03934466291663162, -0.2605970449081523, -0.08789558936417893,
-      -0.17349288610145613,
-    ],
-    [
-      0.03934466291663162, -0.2605970449081523, 0.03826007031367453,
-      -0.19068713427256145,
-    ],
-    [
-      0.03934466291663162, -0.2605970449081523, 0.1460098672980552,
-      0.1284777599785017,
-    ],
-    [
-      0.03934466291663162, -0.2605970449081523, 0.19419704142183064,
-      0.010626629780743798,
-    ],
-    [
-      0.03934466291663162, -0.18708765176930703, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      0.03934466291663162, -0.18708765176930703, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      0.03934466291663162, -0.18708765176930703, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      0.03934466291663162, -0.1697344380037829, -0.27595734322151866,
-      -0.0278208779518491,
-    ],
-    [
-      0.03934466291663162, -0.1697344380037829, -0.21639472036091334,
-      -0.17349288610145613,
-    ],
-    [
-      0.03934466291663162, -0.1697344380037829, -0.04205188655928449,
-      0.27414976812810876,
-    ],
-    [
-      0.03934466291663162, -0.1697344380037829, 0.11388508454887161,
-      0.25289650856662116,
-    ],
-    [
-      0.03934466291663162, -0.1697344380037829, 0.16207225867264702,
-      -0.22507563061477204,
-    ],
-    [
-      0.03934466291663162, -0.1697344380037829, 0.25844660692019783,
-      -0.10065688202665261,
-    ],
-    [
-      0.03934466291663162, -0.09622504486493763, -0.3019468384062113,
-      0.0728360040748035,
-    ],
-    [
-      0.03934466291663162, -0.09622504486493763, -0.16441572999152798,
-      -0.26352313834736496,
-    ],
-    [
-      0.03934466291663162, -0.09622504486493763, -0.1460098672980552,
-      0.27414976812810876,
-    ],
-    [
-      0.03934466291663162, -0.09622504486493763, 0.08789558936417893,
-      -0.2979116346895756,
-    ],
-    [
-      0.03934466291663162, -0.09622504486493763, 0.21405124904203238,
-      0.22507563061477204,
-    ],
-    [
-      0.03934466291663162, -0.09622504486493763, 0.3104255972895832,
-      -0.010626629780743798,
-    ],
-    [
-      0.03934466291663162, -0.05079374141275293, -0.31800922978080315,
-      -0.04501512612295441,
-    ],
-    [
-      0.03934466291663162, -0.05079374141275293, -0.25844660692019783,
-      -0.19068713427256145,
-    ],
-    [
-      0.03934466291663162, -0.05079374141275293, -0.03591659899479356,
-      0.3191648942510632,
-    ],
-    [
-      0.03934466291663162, -0.05079374141275293, 0.12002037211336253,
-      0.2979116346895756,
-    ],
-    [
-      0.03934466291663162, -0.05079374141275293, 0.19798885766744057,
-      -0.25289650856662116,
-    ],
-    [
-      0.03934466291663162, -0.05079374141275293, 0.29436320591499143,
-      -0.1284777599785017,
-    ],
-    [
-      0.03934466291663162, 0.05079374141275293, -0.29436320591499143,
-      0.1284777599785017,
-    ],
-    [
-      0.03934466291663162, 0.05079374141275293, -0.19798885766744057,
-      0.25289650856662116,
-    ],
-    [
-      0.03934466291663162, 0.05079374141275293, -0.12002037211336253,
-      -0.2979116346895756,
-    ],
-    [
-      0.03934466291663162, 0.05079374141275293, 0.03591659899479356,
-      -0.3191648942510632,
-    ],
-    [
-      0.03934466291663162, 0.05079374141275293, 0.25844660692019783,
-      0.19068713427256145,
-    ],
-    [
-      0.03934466291663162, 0.05079374141275293, 0.31800922978080315,
-      0.04501512612295441,
-    ],
-    [
-      0.03934466291663162, 0.09622504486493763, -0.3104255972895832,
-      0.010626629780743798,
-    ],
-    [
-      0.03934466291663162, 0.09622504486493763, -0.21405124904203238,
-      -0.22507563061477204,
-    ],
-    [
-      0.03934466291663162, 0.09622504486493763, -0.08789558936417893,
-      0.2979116346895756,
-    ],
-    [
-      0.03934466291663162, 0.09622504486493763, 0.1460098672980552,
-      -0.27414976812810876,
-    ],
-    [
-      0.03934466291663162, 0.09622504486493763, 0.16441572999152798,
-      0.26352313834736496,
-    ],
-    [
-      0.03934466291663162, 0.09622504486493763, 0.3019468384062113,
-      -0.0728360040748035,
-    ],
-    [
-      0.03934466291663162, 0.1697344380037829, -0.25844660692019783,
-      0.10065688202665261,
-    ],
-    [
-      0.03934466291663162, 0.1697344380037829, -0.16207225867264702,
-      0.22507563061477204,
-    ],
-    [
-      0.03934466291663162, 0.1697344380037829, -0.11388508454887161,
-      -0.25289650856662116,
-    ],
-    [
-      0.03934466291663162, 0.1697344380037829, 0.04205188655928449,
-      -0.27414976812810876,
-    ],
-    [
-      0.03934466291663162, 0.1697344380037829, 0.21639472036091334,
-      0.17349288610145613,
-    ],
-    [
-      0.03934466291663162, 0.1697344380037829, 0.27595734322151866,
-      0.0278208779518491,
-    ],
-    [
-      0.03934466291663162, 0.18708765176930703, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      0.03934466291663162, 0.18708765176930703, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      0.03934466291663162, 0.18708765176930703, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      0.03934466291663162, 0.2605970449081523, -0.19419704142183064,
-      -0.010626629780743798,
-    ],
-    [
-      0.03934466291663162, 0.2605970449081523, -0.1460098672980552,
-      -0.1284777599785017,
-    ],
-    [
-      0.03934466291663162, 0.2605970449081523, -0.03826007031367453,
-      0.19068713427256145,
-    ],
-    [
-      0.03934466291663162, 0.2605970449081523, 0.08789558936417893,
-      0.17349288610145613,
-    ],
-    [
-      0.03934466291663162, 0.2605970449081523, 0.10630145205765171,
-      -0.16286625632071233,
-    ],
-    [
-      0.03934466291663162, 0.2605970449081523, 0.18426993761172977,
-      -0.06220937429405972,
-    ],
-    [
-      0.03934466291663162, 0.31675322428147346, -0.05811427793387629,
-      0.04501512612295441,
-    ],
-    [
-      0.03934466291663162, 0.31675322428147346, -0.009927103810100878,
-      -0.0728360040748035,
-    ],
-    [
-      0.03934466291663162, 0.31675322428147346, 0.06804138174397717,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.3200673932036673, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, -0.3200673932036673, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.3200673932036673, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      0.06366100187501753, -0.30271417943814316, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, -0.30271417943814316, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, -0.30271417943814316, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, -0.30271417943814316, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      0.06366100187501753, -0.30271417943814316, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, -0.30271417943814316, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      0.06366100187501753, -0.27463608975148257, -0.16441572999152798,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.27463608975148257, -0.0978226931742798,
-      -0.1350453783688632,
-    ],
-    [
-      0.06366100187501753, -0.27463608975148257, -0.06804138174397717,
-      0.15223962653996853,
-    ],
-    [
-      0.06366100187501753, -0.27463608975148257, 0.05811427793387629,
-      -0.15629863793035081,
-    ],
-    [
-      0.06366100187501753, -0.27463608975148257, 0.10630145205765171,
-      0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, -0.27463608975148257, 0.165864074918257,
-      -0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, -0.25728287598595845, -0.15214515486254615,
-      0.11785113019775792,
-    ],
-    [
-      0.06366100187501753, -0.25728287598595845, -0.025989495184692683,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.25728287598595845, 0.17813465004723883,
-      0.0728360040748035,
-    ],
-    [
-      0.06366100187501753, -0.24655800006482204, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.24655800006482204, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, -0.24655800006482204, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.24655800006482204, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.24655800006482204, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, -0.24655800006482204, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.2292047862992979, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      0.06366100187501753, -0.2292047862992979, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      0.06366100187501753, -0.2292047862992979, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      0.06366100187501753, -0.2292047862992979, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, -0.2292047862992979, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, -0.2292047862992979, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, -0.20112669661263732, -0.24996784803682592,
-      -0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, -0.20112669661263732, -0.19040522517622066,
-      -0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, -0.20112669661263732, -0.04584370280489444,
-      0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, -0.20112669661263732, 0.11009326830326166,
-      0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, -0.20112669661263732, 0.1398745797335643,
-      -0.20788138244366672,
-    ],
-    [
-      0.06366100187501753, -0.20112669661263732, 0.23624892798111513,
-      -0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, -0.1837734828471132, -0.2561031356013169,
-      -0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, -0.1837734828471132, -0.22632182417101426,
-      -0.1350453783688632,
-    ],
-    [
-      0.06366100187501753, -0.1837734828471132, -0.003791816245609954,
-      0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, -0.1837734828471132, 0.07417666930846809,
-      0.25289650856662116,
-    ],
-    [
-      0.06366100187501753, -0.1837734828471132, 0.18192646629284875,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.1837734828471132, 0.2301136404166242,
-      -0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, -0.1556953931604526, -0.23624892798111513,
-      0.15223962653996853,
-    ],
-    [
-      0.06366100187501753, -0.1556953931604526, -0.20646761655081247,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.1556953931604526, -0.06190609417948624,
-      -0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, -0.1556953931604526, -0.013718920055710834,
-      -0.2807173865184702,
-    ],
-    [
-      0.06366100187501753, -0.1556953931604526, 0.24996784803682592,
-      0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, -0.1556953931604526, 0.2683737107302987,
-      0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, -0.12761730347379202, -0.29436320591499143,
-      0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, -0.12761730347379202, -0.19798885766744057,
-      -0.21850801222441052,
-    ],
-    [
-      0.06366100187501753, -0.12761730347379202, -0.0902390606830599,
-      0.2807173865184702,
-    ],
-    [
-      0.06366100187501753, -0.12761730347379202, 0.13229094724234436,
-      -0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, -0.12761730347379202, 0.16207225867264702,
-      0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, -0.12761730347379202, 0.28822791835050043,
-      -0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, -0.3004984934794823,
-      -0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, -0.28209263078600955,
-      0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, -0.23390545666223417,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, -0.17434283380162885,
-      0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, -0.12615565967785347,
-      -0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, -0.048187174123775406,
-      0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, 0.048187174123775406,
-      -0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, 0.12615565967785347,
-      0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, 0.17434283380162885,
-      -0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, 0.23390545666223417,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, 0.28209263078600955,
-      -0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, -0.11026408970826793, 0.3004984934794823,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, -0.08218600002160734, -0.3104255972895832,
-      0.010626629780743798,
-    ],
-    [
-      0.06366100187501753, -0.08218600002160734, -0.21405124904203238,
-      -0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, -0.08218600002160734, -0.08789558936417893,
-      0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, -0.08218600002160734, 0.1460098672980552,
-      -0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, -0.08218600002160734, 0.16441572999152798,
-      0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, -0.08218600002160734, 0.3019468384062113,
-      -0.0728360040748035,
-    ],
-    [
-      0.06366100187501753, -0.06483278625608321, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      0.06366100187501753, -0.06483278625608321, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, -0.06483278625608321, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      0.06366100187501753, -0.06483278625608321, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      0.06366100187501753, -0.06483278625608321, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      0.06366100187501753, -0.06483278625608321, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, -0.03675469656942264, -0.3080821259707023,
-      -0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, -0.03675469656942264, -0.27830081454039957,
-      -0.15629863793035081,
-    ],
-    [
-      0.06366100187501753, -0.03675469656942264, 0.003791816245609954,
-      0.3191648942510632,
-    ],
-    [
-      0.06366100187501753, -0.03675469656942264, 0.081760301799688,
-      0.3085382644703194,
-    ],
-    [
-      0.06366100187501753, -0.03675469656942264, 0.22632182417101426,
-      -0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, -0.03675469656942264, 0.2745089982947897,
-      -0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, -0.008676606882762061, -0.31800922978080315,
-      -0.04501512612295441,
-    ],
-    [
-      0.06366100187501753, -0.008676606882762061, -0.25844660692019783,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, -0.008676606882762061, -0.03591659899479356,
-      0.3191648942510632,
-    ],
-    [
-      0.06366100187501753, -0.008676606882762061, 0.12002037211336253,
-      0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, -0.008676606882762061, 0.19798885766744057,
-      -0.25289650856662116,
-    ],
-    [
-      0.06366100187501753, -0.008676606882762061, 0.29436320591499143,
-      -0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, 0.008676606882762061, -0.29436320591499143,
-      0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, 0.008676606882762061, -0.19798885766744057,
-      0.25289650856662116,
-    ],
-    [
-      0.06366100187501753, 0.008676606882762061, -0.12002037211336253,
-      -0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, 0.008676606882762061, 0.03591659899479356,
-      -0.3191648942510632,
-    ],
-    [
-      0.06366100187501753, 0.008676606882762061, 0.25844660692019783,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.008676606882762061, 0.31800922978080315,
-      0.04501512612295441,
-    ],
-    [
-      0.06366100187501753, 0.03675469656942264, -0.2745089982947897,
-      0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, 0.03675469656942264, -0.22632182417101426,
-      0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, 0.03675469656942264, -0.081760301799688,
-      -0.3085382644703194,
-    ],
-    [
-      0.06366100187501753, 0.03675469656942264, -0.003791816245609954,
-      -0.3191648942510632,
-    ],
-    [
-      0.06366100187501753, 0.03675469656942264, 0.27830081454039957,
-      0.15629863793035081,
-    ],
-    [
-      0.06366100187501753, 0.03675469656942264, 0.3080821259707023,
-      0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, 0.06483278625608321, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, 0.06483278625608321, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      0.06366100187501753, 0.06483278625608321, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      0.06366100187501753, 0.06483278625608321, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      0.06366100187501753, 0.06483278625608321, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, 0.06483278625608321, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      0.06366100187501753, 0.08218600002160734, -0.3019468384062113,
-      0.0728360040748035,
-    ],
-    [
-      0.06366100187501753, 0.08218600002160734, -0.16441572999152798,
-      -0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, 0.08218600002160734, -0.1460098672980552,
-      0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, 0.08218600002160734, 0.08789558936417893,
-      -0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, 0.08218600002160734, 0.21405124904203238,
-      0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, 0.08218600002160734, 0.3104255972895832,
-      -0.010626629780743798,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, -0.3004984934794823,
-      -0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, -0.28209263078600955,
-      0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, -0.23390545666223417,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, -0.17434283380162885,
-      0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, -0.12615565967785347,
-      -0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, -0.048187174123775406,
-      0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, 0.048187174123775406,
-      -0.2979116346895756,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, 0.12615565967785347,
-      0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, 0.17434283380162885,
-      -0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, 0.23390545666223417,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, 0.28209263078600955,
-      -0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, 0.11026408970826793, 0.3004984934794823,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, 0.12761730347379202, -0.28822791835050043,
-      0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, 0.12761730347379202, -0.16207225867264702,
-      -0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, 0.12761730347379202, -0.13229094724234436,
-      0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, 0.12761730347379202, 0.0902390606830599,
-      -0.2807173865184702,
-    ],
-    [
-      0.06366100187501753, 0.12761730347379202, 0.19798885766744057,
-      0.21850801222441052,
-    ],
-    [
-      0.06366100187501753, 0.12761730347379202, 0.29436320591499143,
-      -0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, 0.1556953931604526, -0.2683737107302987,
-      -0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, 0.1556953931604526, -0.24996784803682592,
-      -0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, 0.1556953931604526, 0.013718920055710834,
-      0.2807173865184702,
-    ],
-    [
-      0.06366100187501753, 0.1556953931604526, 0.06190609417948624,
-      0.27414976812810876,
-    ],
-    [
-      0.06366100187501753, 0.1556953931604526, 0.20646761655081247,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.1556953931604526, 0.23624892798111513,
-      -0.15223962653996853,
-    ],
-    [
-      0.06366100187501753, 0.1837734828471132, -0.2301136404166242,
-      0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, 0.1837734828471132, -0.18192646629284875,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.1837734828471132, -0.07417666930846809,
-      -0.25289650856662116,
-    ],
-    [
-      0.06366100187501753, 0.1837734828471132, 0.003791816245609954,
-      -0.26352313834736496,
-    ],
-    [
-      0.06366100187501753, 0.1837734828471132, 0.22632182417101426,
-      0.1350453783688632,
-    ],
-    [
-      0.06366100187501753, 0.1837734828471132, 0.2561031356013169,
-      0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, 0.20112669661263732, -0.23624892798111513,
-      0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, 0.20112669661263732, -0.1398745797335643,
-      0.20788138244366672,
-    ],
-    [
-      0.06366100187501753, 0.20112669661263732, -0.11009326830326166,
-      -0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, 0.20112669661263732, 0.04584370280489444,
-      -0.24632889017625964,
-    ],
-    [
-      0.06366100187501753, 0.20112669661263732, 0.19040522517622066,
-      0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, 0.20112669661263732, 0.24996784803682592,
-      0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, 0.2292047862992979, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, 0.2292047862992979, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, 0.2292047862992979, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      0.06366100187501753, 0.2292047862992979, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      0.06366100187501753, 0.2292047862992979, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      0.06366100187501753, 0.2292047862992979, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [
-      0.06366100187501753, 0.24655800006482204, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, 0.24655800006482204, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, 0.24655800006482204, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.24655800006482204, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.24655800006482204, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.06366100187501753, 0.24655800006482204, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, 0.25728287598595845, -0.17813465004723883,
-      -0.0728360040748035,
-    ],
-    [
-      0.06366100187501753, 0.25728287598595845, 0.025989495184692683,
-      0.19068713427256145,
-    ],
-    [
-      0.06366100187501753, 0.25728287598595845, 0.15214515486254615,
-      -0.11785113019775792,
-    ],
-    [
-      0.06366100187501753, 0.27463608975148257, -0.165864074918257,
-      0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, 0.27463608975148257, -0.10630145205765171,
-      -0.1284777599785017,
-    ],
-    [
-      0.06366100187501753, 0.27463608975148257, -0.05811427793387629,
-      0.15629863793035081,
-    ],
-    [
-      0.06366100187501753, 0.27463608975148257, 0.06804138174397717,
-      -0.15223962653996853,
-    ],
-    [
-      0.06366100187501753, 0.27463608975148257, 0.0978226931742798,
-      0.1350453783688632,
-    ],
-    [
-      0.06366100187501753, 0.27463608975148257, 0.16441572999152798,
-      -0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, 0.30271417943814316, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      0.06366100187501753, 0.30271417943814316, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      0.06366100187501753, 0.30271417943814316, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      0.06366100187501753, 0.30271417943814316, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      0.06366100187501753, 0.30271417943814316, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      0.06366100187501753, 0.30271417943814316, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      0.06366100187501753, 0.3200673932036673, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      0.06366100187501753, 0.3200673932036673, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      0.06366100187501753, 0.3200673932036673, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [0.07868932583326324, -0.3113907863209052, -0.06424956549836722, 0.0],
-    [
-      0.07868932583326324, -0.3113907863209052, -0.04584370280489444,
-      -0.04501512612295441,
-    ],
-    [
-      0.07868932583326324, -0.3113907863209052, -0.016062391374591804,
-      0.06220937429405972,
-    ],
-    [
-      0.07868932583326324, -0.3113907863209052, 0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, -0.3113907863209052, 0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, -0.3113907863209052, 0.06190609417948624,
-      -0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, -0.2659594828687205, -0.1582804424270371,
-      0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, -0.2659594828687205, -0.11009326830326166,
-      0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, -0.2659594828687205, -0.06190609417948624,
-      -0.16286625632071233,
-    ],
-    [
-      0.07868932583326324, -0.2659594828687205, 0.016062391374591804,
-      -0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, -0.2659594828687205, 0.14221805105244528,
-      0.10065688202665261,
-    ],
-    [
-      0.07868932583326324, -0.2659594828687205, 0.1719993624827479,
-      0.0278208779518491,
-    ],
-    [
-      0.07868932583326324, -0.23788139318205997, -0.19798885766744057,
-      0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, -0.23788139318205997, -0.12002037211336253,
-      0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, -0.23788139318205997, -0.0902390606830599,
-      -0.19068713427256145,
-    ],
-    [
-      0.07868932583326324, -0.23788139318205997, 0.03591659899479356,
-      -0.20788138244366672,
-    ],
-    [
-      0.07868932583326324, -0.23788139318205997, 0.16207225867264702,
-      0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, -0.23788139318205997, 0.21025943279642245,
-      0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, -0.19245008972987526, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, -0.19245008972987526, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, -0.19245008972987526, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      0.07868932583326324, -0.19245008972987526, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      0.07868932583326324, -0.19245008972987526, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      0.07868932583326324, -0.19245008972987526, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [0.07868932583326324, -0.16437200004321467, -0.2721655269759087, 0.0],
-    [
-      0.07868932583326324, -0.16437200004321467, -0.19419704142183064,
-      -0.19068713427256145,
-    ],
-    [
-      0.07868932583326324, -0.16437200004321467, -0.06804138174397717,
-      0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, -0.16437200004321467, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, -0.16437200004321467, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, -0.16437200004321467, 0.2622384231658078,
-      -0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, -0.14701878627769055, -0.27830081454039957,
-      -0.04501512612295441,
-    ],
-    [
-      0.07868932583326324, -0.14701878627769055, -0.2301136404166242,
-      -0.16286625632071233,
-    ],
-    [
-      0.07868932583326324, -0.14701878627769055, -0.025989495184692683,
-      0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, -0.14701878627769055, 0.10016616449316076,
-      0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, -0.14701878627769055, 0.17813465004723883,
-      -0.21850801222441052,
-    ],
-    [
-      0.07868932583326324, -0.14701878627769055, 0.2561031356013169,
-      -0.11785113019775792,
-    ],
-    [
-      0.07868932583326324, -0.11894069659102999, -0.28822791835050043,
-      0.06220937429405972,
-    ],
-    [
-      0.07868932583326324, -0.11894069659102999, -0.16207225867264702,
-      -0.24632889017625964,
-    ],
-    [
-      0.07868932583326324, -0.11894069659102999, -0.13229094724234436,
-      0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, -0.11894069659102999, 0.0902390606830599,
-      -0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, -0.11894069659102999, 0.19798885766744057,
-      0.21850801222441052,
-    ],
-    [
-      0.07868932583326324, -0.11894069659102999, 0.29436320591499143,
-      -0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, -0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, -0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, -0.2561031356013169,
-      -0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, -0.17813465004723883,
-      -0.25289650856662116,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, -0.1299474759234634,
-      0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, -0.022197678939082727,
-      0.3085382644703194,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, 0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, 0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, 0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, 0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, 0.27830081454039957,
-      -0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, -0.07350939313884527, 0.3080821259707023,
-      -0.0278208779518491,
-    ],
-    [
-      0.07868932583326324, -0.0454313034521847, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, -0.0454313034521847, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      0.07868932583326324, -0.0454313034521847, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      0.07868932583326324, -0.0454313034521847, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, -0.0454313034521847, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, -0.0454313034521847, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      0.07868932583326324, 0.0454313034521847, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      0.07868932583326324, 0.0454313034521847, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, 0.0454313034521847, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, 0.0454313034521847, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      0.07868932583326324, 0.0454313034521847, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      0.07868932583326324, 0.0454313034521847, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, -0.3080821259707023,
-      0.0278208779518491,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, -0.27830081454039957,
-      0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, -0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, -0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, -0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, -0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, 0.022197678939082727,
-      -0.3085382644703194,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, 0.1299474759234634,
-      -0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, 0.17813465004723883,
-      0.25289650856662116,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, 0.2561031356013169,
-      0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, 0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, 0.07350939313884527, 0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, 0.11894069659102999, -0.29436320591499143,
-      0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, 0.11894069659102999, -0.19798885766744057,
-      -0.21850801222441052,
-    ],
-    [
-      0.07868932583326324, 0.11894069659102999, -0.0902390606830599,
-      0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, 0.11894069659102999, 0.13229094724234436,
-      -0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, 0.11894069659102999, 0.16207225867264702,
-      0.24632889017625964,
-    ],
-    [
-      0.07868932583326324, 0.11894069659102999, 0.28822791835050043,
-      -0.06220937429405972,
-    ],
-    [
-      0.07868932583326324, 0.14701878627769055, -0.2561031356013169,
-      0.11785113019775792,
-    ],
-    [
-      0.07868932583326324, 0.14701878627769055, -0.17813465004723883,
-      0.21850801222441052,
-    ],
-    [
-      0.07868932583326324, 0.14701878627769055, -0.10016616449316076,
-      -0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, 0.14701878627769055, 0.025989495184692683,
-      -0.2807173865184702,
-    ],
-    [
-      0.07868932583326324, 0.14701878627769055, 0.2301136404166242,
-      0.16286625632071233,
-    ],
-    [
-      0.07868932583326324, 0.14701878627769055, 0.27830081454039957,
-      0.04501512612295441,
-    ],
-    [
-      0.07868932583326324, 0.16437200004321467, -0.2622384231658078,
-      0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, 0.16437200004321467, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, 0.16437200004321467, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.07868932583326324, 0.16437200004321467, 0.06804138174397717,
-      -0.26352313834736496,
-    ],
-    [
-      0.07868932583326324, 0.16437200004321467, 0.19419704142183064,
-      0.19068713427256145,
-    ],
-    [0.07868932583326324, 0.16437200004321467, 0.2721655269759087, 0.0],
-    [
-      0.07868932583326324, 0.19245008972987526, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, 0.19245008972987526, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      0.07868932583326324, 0.19245008972987526, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      0.07868932583326324, 0.19245008972987526, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      0.07868932583326324, 0.19245008972987526, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, 0.19245008972987526, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, 0.23788139318205997, -0.21025943279642245,
-      -0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, 0.23788139318205997, -0.16207225867264702,
-      -0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, 0.23788139318205997, -0.03591659899479356,
-      0.20788138244366672,
-    ],
-    [
-      0.07868932583326324, 0.23788139318205997, 0.0902390606830599,
-      0.19068713427256145,
-    ],
-    [
-      0.07868932583326324, 0.23788139318205997, 0.12002037211336253,
-      -0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, 0.23788139318205997, 0.19798885766744057,
-      -0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, 0.2659594828687205, -0.1719993624827479,
-      -0.0278208779518491,
-    ],
-    [
-      0.07868932583326324, 0.2659594828687205, -0.14221805105244528,
-      -0.10065688202665261,
-    ],
-    [
-      0.07868932583326324, 0.2659594828687205, -0.016062391374591804,
-      0.17349288610145613,
-    ],
-    [
-      0.07868932583326324, 0.2659594828687205, 0.06190609417948624,
-      0.16286625632071233,
-    ],
-    [
-      0.07868932583326324, 0.2659594828687205, 0.11009326830326166,
-      -0.1350453783688632,
-    ],
-    [
-      0.07868932583326324, 0.2659594828687205, 0.1582804424270371,
-      -0.0728360040748035,
-    ],
-    [
-      0.07868932583326324, 0.3113907863209052, -0.06190609417948624,
-      0.017194248171105306,
-    ],
-    [
-      0.07868932583326324, 0.3113907863209052, -0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, 0.3113907863209052, -0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      0.07868932583326324, 0.3113907863209052, 0.016062391374591804,
-      -0.06220937429405972,
-    ],
-    [
-      0.07868932583326324, 0.3113907863209052, 0.04584370280489444,
-      0.04501512612295441,
-    ],
-    [0.07868932583326324, 0.3113907863209052, 0.06424956549836722, 0.0],
-    [
-      0.08797734083340344, -0.28867513459481287, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, -0.28867513459481287, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, -0.28867513459481287, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, -0.28867513459481287, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, -0.28867513459481287, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, -0.28867513459481287, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, -0.21516574145596762, -0.2301136404166242,
-      0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, -0.21516574145596762, -0.15214515486254615,
-      -0.17349288610145613,
-    ],
-    [
-      0.08797734083340344, -0.21516574145596762, -0.07417666930846809,
-      0.21850801222441052,
-    ],
-    [
-      0.08797734083340344, -0.21516574145596762, 0.10016616449316076,
-      -0.20788138244366672,
-    ],
-    [
-      0.08797734083340344, -0.21516574145596762, 0.1299474759234634,
-      0.19068713427256145,
-    ],
-    [
-      0.08797734083340344, -0.21516574145596762, 0.22632182417101426,
-      -0.04501512612295441,
-    ],
-    [
-      0.08797734083340344, -0.1697344380037829, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, -0.1697344380037829, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      0.08797734083340344, -0.1697344380037829, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      0.08797734083340344, -0.14165634831712232, -0.2561031356013169,
-      0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, -0.14165634831712232, -0.17813465004723883,
-      0.21850801222441052,
-    ],
-    [
-      0.08797734083340344, -0.14165634831712232, -0.10016616449316076,
-      -0.26352313834736496,
-    ],
-    [
-      0.08797734083340344, -0.14165634831712232, 0.025989495184692683,
-      -0.2807173865184702,
-    ],
-    [
-      0.08797734083340344, -0.14165634831712232, 0.2301136404166242,
-      0.16286625632071233,
-    ],
-    [
-      0.08797734083340344, -0.14165634831712232, 0.27830081454039957,
-      0.04501512612295441,
-    ],
-    [
-      0.08797734083340344, -0.05079374141275293, -0.28822791835050043,
-      -0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, -0.05079374141275293, 0.04205188655928449,
-      0.3085382644703194,
-    ],
-    [
-      0.08797734083340344, -0.05079374141275293, 0.246176031791216,
-      -0.19068713427256145,
-    ],
-    [
-      0.08797734083340344, -0.02271565172609235, -0.2981550221606014,
-      0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, -0.02271565172609235, -0.1719993624827479,
-      0.26352313834736496,
-    ],
-    [
-      0.08797734083340344, -0.02271565172609235, -0.14221805105244528,
-      -0.2807173865184702,
-    ],
-    [
-      0.08797734083340344, -0.02271565172609235, 0.06190609417948624,
-      -0.3085382644703194,
-    ],
-    [
-      0.08797734083340344, -0.02271565172609235, 0.23624892798111513,
-      0.20788138244366672,
-    ],
-    [
-      0.08797734083340344, -0.02271565172609235, 0.31421741353519317,
-      0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, 0.02271565172609235, -0.31421741353519317,
-      -0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, 0.02271565172609235, -0.23624892798111513,
-      -0.20788138244366672,
-    ],
-    [
-      0.08797734083340344, 0.02271565172609235, -0.06190609417948624,
-      0.3085382644703194,
-    ],
-    [
-      0.08797734083340344, 0.02271565172609235, 0.14221805105244528,
-      0.2807173865184702,
-    ],
-    [
-      0.08797734083340344, 0.02271565172609235, 0.1719993624827479,
-      -0.26352313834736496,
-    ],
-    [
-      0.08797734083340344, 0.02271565172609235, 0.2981550221606014,
-      -0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, 0.05079374141275293, -0.246176031791216,
-      0.19068713427256145,
-    ],
-    [
-      0.08797734083340344, 0.05079374141275293, -0.04205188655928449,
-      -0.3085382644703194,
-    ],
-    [
-      0.08797734083340344, 0.05079374141275293, 0.28822791835050043,
-      0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, 0.14165634831712232, -0.27830081454039957,
-      -0.04501512612295441,
-    ],
-    [
-      0.08797734083340344, 0.14165634831712232, -0.2301136404166242,
-      -0.16286625632071233,
-    ],
-    [
-      0.08797734083340344, 0.14165634831712232, -0.025989495184692683,
-      0.2807173865184702,
-    ],
-    [
-      0.08797734083340344, 0.14165634831712232, 0.10016616449316076,
-      0.26352313834736496,
-    ],
-    [
-      0.08797734083340344, 0.14165634831712232, 0.17813465004723883,
-      -0.21850801222441052,
-    ],
-    [
-      0.08797734083340344, 0.14165634831712232, 0.2561031356013169,
-      -0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, 0.1697344380037829, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      0.08797734083340344, 0.1697344380037829, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      0.08797734083340344, 0.1697344380037829, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, 0.21516574145596762, -0.22632182417101426,
-      0.04501512612295441,
-    ],
-    [
-      0.08797734083340344, 0.21516574145596762, -0.1299474759234634,
-      -0.19068713427256145,
-    ],
-    [
-      0.08797734083340344, 0.21516574145596762, -0.10016616449316076,
-      0.20788138244366672,
-    ],
-    [
-      0.08797734083340344, 0.21516574145596762, 0.07417666930846809,
-      -0.21850801222441052,
-    ],
-    [
-      0.08797734083340344, 0.21516574145596762, 0.15214515486254615,
-      0.17349288610145613,
-    ],
-    [
-      0.08797734083340344, 0.21516574145596762, 0.2301136404166242,
-      -0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, 0.28867513459481287, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      0.08797734083340344, 0.28867513459481287, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, 0.28867513459481287, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, 0.28867513459481287, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      0.08797734083340344, 0.28867513459481287, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      0.08797734083340344, 0.28867513459481287, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, -0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, -0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, -0.054322461688266335,
-      0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, -0.03591659899479356,
-      -0.08346263385554731,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, 0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, 0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, 0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, 0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, -0.2973517414775749, 0.0902390606830599,
-      0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, -0.2799985277120508, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      0.10300566479164913, -0.2799985277120508, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, -0.2799985277120508, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      0.10300566479164913, -0.2799985277120508, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, -0.2799985277120508, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, -0.2799985277120508, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      0.10300566479164913, -0.2519204380253902, -0.17813465004723883,
-      0.038447507732592895,
-    ],
-    [
-      0.10300566479164913, -0.2519204380253902, -0.10016616449316076,
-      -0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, -0.2519204380253902, -0.081760301799688,
-      0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, -0.2519204380253902, 0.05577080661499532,
-      -0.17349288610145613,
-    ],
-    [
-      0.10300566479164913, -0.2519204380253902, 0.1223638434322435,
-      0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, -0.2519204380253902, 0.18192646629284875,
-      -0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, -0.20648913457320556, -0.22397835285213324,
-      0.06220937429405972,
-    ],
-    [
-      0.10300566479164913, -0.20648913457320556, -0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.20648913457320556, -0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.20648913457320556, 0.05811427793387629,
-      -0.22507563061477204,
-    ],
-    [
-      0.10300566479164913, -0.20648913457320556, 0.165864074918257,
-      0.16286625632071233,
-    ],
-    [0.10300566479164913, -0.20648913457320556, 0.23245711173550515, 0.0],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.23390545666223417,
-      0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.2041241452319315,
-      -0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, -0.02978131143030264,
-      0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.02978131143030264,
-      -0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.2041241452319315,
-      0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.23390545666223417,
-      -0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, -0.17841104488654497, 0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, -0.16105783112102084, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, -0.16105783112102084, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, -0.16105783112102084, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, -0.15033295519988438, -0.2622384231658078,
-      0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, -0.15033295519988438, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.15033295519988438, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.15033295519988438, 0.06804138174397717,
-      -0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, -0.15033295519988438, 0.19419704142183064,
-      0.19068713427256145,
-    ],
-    [0.10300566479164913, -0.15033295519988438, 0.2721655269759087, 0.0],
-    [
-      0.10300566479164913, -0.13297974143436025, -0.2683737107302987,
-      -0.08346263385554731,
-    ],
-    [
-      0.10300566479164913, -0.13297974143436025, -0.24996784803682592,
-      -0.1284777599785017,
-    ],
-    [
-      0.10300566479164913, -0.13297974143436025, 0.013718920055710834,
-      0.2807173865184702,
-    ],
-    [
-      0.10300566479164913, -0.13297974143436025, 0.06190609417948624,
-      0.27414976812810876,
-    ],
-    [
-      0.10300566479164913, -0.13297974143436025, 0.20646761655081247,
-      -0.19068713427256145,
-    ],
-    [
-      0.10300566479164913, -0.13297974143436025, 0.23624892798111513,
-      -0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, -0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, -0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, -0.2660302394114178,
-      -0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, -0.1582804424270371,
-      0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, -0.1398745797335643,
-      -0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.016062391374591804,
-      0.2979116346895756,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.24996784803682592,
-      -0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, -0.08754843798217557, 0.2981550221606014,
-      0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, -0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, -0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, -0.2561031356013169,
-      -0.17349288610145613,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, -0.17813465004723883,
-      -0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, -0.1299474759234634,
-      0.2807173865184702,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, -0.022197678939082727,
-      0.3085382644703194,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, 0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, 0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, 0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, 0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, 0.27830081454039957,
-      -0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, -0.03139225860885442, 0.3080821259707023,
-      -0.0278208779518491,
-    ],
-    [
-      0.10300566479164913, -0.014039044843330288, -0.3104255972895832,
-      0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, -0.014039044843330288, -0.21405124904203238,
-      -0.22507563061477204,
-    ],
-    [
-      0.10300566479164913, -0.014039044843330288, -0.08789558936417893,
-      0.2979116346895756,
-    ],
-    [
-      0.10300566479164913, -0.014039044843330288, 0.1460098672980552,
-      -0.27414976812810876,
-    ],
-    [
-      0.10300566479164913, -0.014039044843330288, 0.16441572999152798,
-      0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, -0.014039044843330288, 0.3019468384062113,
-      -0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, 0.014039044843330288, -0.3019468384062113,
-      0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, 0.014039044843330288, -0.16441572999152798,
-      -0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, 0.014039044843330288, -0.1460098672980552,
-      0.27414976812810876,
-    ],
-    [
-      0.10300566479164913, 0.014039044843330288, 0.08789558936417893,
-      -0.2979116346895756,
-    ],
-    [
-      0.10300566479164913, 0.014039044843330288, 0.21405124904203238,
-      0.22507563061477204,
-    ],
-    [
-      0.10300566479164913, 0.014039044843330288, 0.3104255972895832,
-      -0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, -0.3080821259707023,
-      0.0278208779518491,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, -0.27830081454039957,
-      0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, -0.20033232898632153,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, -0.20033232898632153,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, -0.10395798073877073,
-      -0.291344016299214,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, -0.10395798073877073,
-      0.291344016299214,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, 0.022197678939082727,
-      -0.3085382644703194,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, 0.1299474759234634,
-      -0.2807173865184702,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, 0.17813465004723883,
-      0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, 0.2561031356013169,
-      0.17349288610145613,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, 0.3042903097250923,
-      -0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, 0.03139225860885442, 0.3042903097250923,
-      0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.2981550221606014,
-      -0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.24996784803682592,
-      0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, -0.016062391374591804,
-      -0.2979116346895756,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, 0.1398745797335643,
-      0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, 0.1582804424270371,
-      -0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, 0.2660302394114178,
-      0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, 0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, 0.08754843798217557, 0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, 0.13297974143436025, -0.23624892798111513,
-      0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, 0.13297974143436025, -0.20646761655081247,
-      0.19068713427256145,
-    ],
-    [
-      0.10300566479164913, 0.13297974143436025, -0.06190609417948624,
-      -0.27414976812810876,
-    ],
-    [
-      0.10300566479164913, 0.13297974143436025, -0.013718920055710834,
-      -0.2807173865184702,
-    ],
-    [
-      0.10300566479164913, 0.13297974143436025, 0.24996784803682592,
-      0.1284777599785017,
-    ],
-    [
-      0.10300566479164913, 0.13297974143436025, 0.2683737107302987,
-      0.08346263385554731,
-    ],
-    [0.10300566479164913, 0.15033295519988438, -0.2721655269759087, 0.0],
-    [
-      0.10300566479164913, 0.15033295519988438, -0.19419704142183064,
-      -0.19068713427256145,
-    ],
-    [
-      0.10300566479164913, 0.15033295519988438, -0.06804138174397717,
-      0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, 0.15033295519988438, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.15033295519988438, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.15033295519988438, 0.2622384231658078,
-      -0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, 0.16105783112102084, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, 0.16105783112102084, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      0.10300566479164913, 0.16105783112102084, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.23390545666223417,
-      0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.2041241452319315,
-      -0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, -0.02978131143030264,
-      0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.02978131143030264,
-      -0.25289650856662116,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.09637434824755081,
-      -0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.09637434824755081,
-      0.23570226039551584,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.15593697110815607,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.15593697110815607,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.2041241452319315,
-      0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.23390545666223417,
-      -0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.25231131935570694,
-      -0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, 0.17841104488654497, 0.25231131935570694,
-      0.03438849634221061,
-    ],
-    [0.10300566479164913, 0.20648913457320556, -0.23245711173550515, 0.0],
-    [
-      0.10300566479164913, 0.20648913457320556, -0.165864074918257,
-      -0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, 0.20648913457320556, -0.05811427793387629,
-      0.22507563061477204,
-    ],
-    [
-      0.10300566479164913, 0.20648913457320556, 0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.20648913457320556, 0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      0.10300566479164913, 0.20648913457320556, 0.22397835285213324,
-      -0.06220937429405972,
-    ],
-    [
-      0.10300566479164913, 0.2519204380253902, -0.18192646629284875,
-      0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, 0.2519204380253902, -0.1223638434322435,
-      -0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, 0.2519204380253902, -0.05577080661499532,
-      0.17349288610145613,
-    ],
-    [
-      0.10300566479164913, 0.2519204380253902, 0.081760301799688,
-      -0.16286625632071233,
-    ],
-    [
-      0.10300566479164913, 0.2519204380253902, 0.10016616449316076,
-      0.15223962653996853,
-    ],
-    [
-      0.10300566479164913, 0.2519204380253902, 0.17813465004723883,
-      -0.038447507732592895,
-    ],
-    [
-      0.10300566479164913, 0.2799985277120508, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      0.10300566479164913, 0.2799985277120508, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, 0.2799985277120508, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      0.10300566479164913, 0.2799985277120508, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      0.10300566479164913, 0.2799985277120508, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      0.10300566479164913, 0.2799985277120508, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, -0.0902390606830599,
-      -0.010626629780743798,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, -0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, -0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, -0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, -0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, 0.03591659899479356,
-      0.08346263385554731,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, 0.054322461688266335,
-      -0.0728360040748035,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, 0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      0.10300566479164913, 0.2973517414775749, 0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [0.12732200375003505, -0.28331269663424463, -0.10395798073877073, 0.0],
-    [
-      0.12732200375003505, -0.28331269663424463, -0.07417666930846809,
-      -0.0728360040748035,
-    ],
-    [
-      0.12732200375003505, -0.28331269663424463, -0.025989495184692683,
-      0.10065688202665261,
-    ],
-    [
-      0.12732200375003505, -0.28331269663424463, 0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, -0.28331269663424463, 0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, -0.28331269663424463, 0.10016616449316076,
-      -0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, -0.2659594828687205, -0.1398745797335643,
-      0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, -0.2659594828687205, -0.08031195687295903,
-      -0.11785113019775792,
-    ],
-    [
-      0.12732200375003505, -0.2659594828687205, -0.06190609417948624,
-      0.1284777599785017,
-    ],
-    [
-      0.12732200375003505, -0.2659594828687205, 0.04584370280489444,
-      -0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, -0.2659594828687205, 0.09403087692866985,
-      0.10722450041701412,
-    ],
-    [
-      0.12732200375003505, -0.2659594828687205, 0.14221805105244528,
-      -0.010626629780743798,
-    ],
-    [
-      0.12732200375003505, -0.22052817941653585, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, -0.22052817941653585, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, -0.22052817941653585, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.12732200375003505, -0.22052817941653585, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.12732200375003505, -0.22052817941653585, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, -0.22052817941653585, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [0.12732200375003505, -0.19245008972987526, -0.23245711173550515, 0.0],
-    [
-      0.12732200375003505, -0.19245008972987526, -0.165864074918257,
-      -0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, -0.19245008972987526, -0.05811427793387629,
-      0.22507563061477204,
-    ],
-    [
-      0.12732200375003505, -0.19245008972987526, 0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, -0.19245008972987526, 0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, -0.19245008972987526, 0.22397835285213324,
-      -0.06220937429405972,
-    ],
-    [
-      0.12732200375003505, -0.16437200004321467, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      0.12732200375003505, -0.16437200004321467, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      0.12732200375003505, -0.16437200004321467, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, -0.16437200004321467, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      0.12732200375003505, -0.16437200004321467, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      0.12732200375003505, -0.16437200004321467, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, -0.14701878627769055, -0.2301136404166242,
-      0.1284777599785017,
-    ],
-    [
-      0.12732200375003505, -0.14701878627769055, -0.18192646629284875,
-      0.19068713427256145,
-    ],
-    [
-      0.12732200375003505, -0.14701878627769055, -0.07417666930846809,
-      -0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, -0.14701878627769055, 0.003791816245609954,
-      -0.26352313834736496,
-    ],
-    [
-      0.12732200375003505, -0.14701878627769055, 0.22632182417101426,
-      0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, -0.14701878627769055, 0.2561031356013169,
-      0.06220937429405972,
-    ],
-    [
-      0.12732200375003505, -0.11894069659102999, -0.25844660692019783,
-      0.10065688202665261,
-    ],
-    [
-      0.12732200375003505, -0.11894069659102999, -0.16207225867264702,
-      0.22507563061477204,
-    ],
-    [
-      0.12732200375003505, -0.11894069659102999, -0.11388508454887161,
-      -0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, -0.11894069659102999, 0.04205188655928449,
-      -0.27414976812810876,
-    ],
-    [
-      0.12732200375003505, -0.11894069659102999, 0.21639472036091334,
-      0.17349288610145613,
-    ],
-    [
-      0.12732200375003505, -0.11894069659102999, 0.27595734322151866,
-      0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, -0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, -0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, -0.2660302394114178,
-      -0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, -0.1582804424270371,
-      0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, -0.1398745797335643,
-      -0.26352313834736496,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.016062391374591804,
-      0.2979116346895756,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.24996784803682592,
-      -0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, -0.0454313034521847, 0.2981550221606014,
-      0.010626629780743798,
-    ],
-    [0.12732200375003505, 0.0, -0.3004984934794823, -0.0278208779518491],
-    [0.12732200375003505, 0.0, -0.28209263078600955, 0.10722450041701412],
-    [0.12732200375003505, 0.0, -0.23390545666223417, -0.19068713427256145],
-    [0.12732200375003505, 0.0, -0.17434283380162885, 0.24632889017625964],
-    [0.12732200375003505, 0.0, -0.12615565967785347, -0.27414976812810876],
-    [0.12732200375003505, 0.0, -0.048187174123775406, 0.2979116346895756],
-    [0.12732200375003505, 0.0, 0.048187174123775406, -0.2979116346895756],
-    [0.12732200375003505, 0.0, 0.12615565967785347, 0.27414976812810876],
-    [0.12732200375003505, 0.0, 0.17434283380162885, -0.24632889017625964],
-    [0.12732200375003505, 0.0, 0.23390545666223417, 0.19068713427256145],
-    [0.12732200375003505, 0.0, 0.28209263078600955, -0.10722450041701412],
-    [0.12732200375003505, 0.0, 0.3004984934794823, 0.0278208779518491],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.2981550221606014,
-      -0.010626629780743798,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.24996784803682592,
-      0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.22018653660652332,
-      -0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.22018653660652332,
-      0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.06424956549836722,
-      -0.291344016299214,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.06424956549836722,
-      0.291344016299214,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, -0.016062391374591804,
-      -0.2979116346895756,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, 0.1398745797335643,
-      0.26352313834736496,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, 0.1582804424270371,
-      -0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, 0.2660302394114178,
-      0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, 0.28443610210489056,
-      -0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, 0.0454313034521847, 0.28443610210489056,
-      0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, 0.11894069659102999, -0.27595734322151866,
-      -0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, 0.11894069659102999, -0.21639472036091334,
-      -0.17349288610145613,
-    ],
-    [
-      0.12732200375003505, 0.11894069659102999, -0.04205188655928449,
-      0.27414976812810876,
-    ],
-    [
-      0.12732200375003505, 0.11894069659102999, 0.11388508454887161,
-      0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, 0.11894069659102999, 0.16207225867264702,
-      -0.22507563061477204,
-    ],
-    [
-      0.12732200375003505, 0.11894069659102999, 0.25844660692019783,
-      -0.10065688202665261,
-    ],
-    [
-      0.12732200375003505, 0.14701878627769055, -0.2561031356013169,
-      -0.06220937429405972,
-    ],
-    [
-      0.12732200375003505, 0.14701878627769055, -0.22632182417101426,
-      -0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, 0.14701878627769055, -0.003791816245609954,
-      0.26352313834736496,
-    ],
-    [
-      0.12732200375003505, 0.14701878627769055, 0.07417666930846809,
-      0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, 0.14701878627769055, 0.18192646629284875,
-      -0.19068713427256145,
-    ],
-    [
-      0.12732200375003505, 0.14701878627769055, 0.2301136404166242,
-      -0.1284777599785017,
-    ],
-    [
-      0.12732200375003505, 0.16437200004321467, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, 0.16437200004321467, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      0.12732200375003505, 0.16437200004321467, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      0.12732200375003505, 0.16437200004321467, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      0.12732200375003505, 0.16437200004321467, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      0.12732200375003505, 0.16437200004321467, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      0.12732200375003505, 0.19245008972987526, -0.22397835285213324,
-      0.06220937429405972,
-    ],
-    [
-      0.12732200375003505, 0.19245008972987526, -0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, 0.19245008972987526, -0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      0.12732200375003505, 0.19245008972987526, 0.05811427793387629,
-      -0.22507563061477204,
-    ],
-    [
-      0.12732200375003505, 0.19245008972987526, 0.165864074918257,
-      0.16286625632071233,
-    ],
-    [0.12732200375003505, 0.19245008972987526, 0.23245711173550515, 0.0],
-    [
-      0.12732200375003505, 0.22052817941653585, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, 0.22052817941653585, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, 0.22052817941653585, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.12732200375003505, 0.22052817941653585, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.12732200375003505, 0.22052817941653585, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.12732200375003505, 0.22052817941653585, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, 0.2659594828687205, -0.14221805105244528,
-      0.010626629780743798,
-    ],
-    [
-      0.12732200375003505, 0.2659594828687205, -0.09403087692866985,
-      -0.10722450041701412,
-    ],
-    [
-      0.12732200375003505, 0.2659594828687205, -0.04584370280489444,
-      0.1350453783688632,
-    ],
-    [
-      0.12732200375003505, 0.2659594828687205, 0.06190609417948624,
-      -0.1284777599785017,
-    ],
-    [
-      0.12732200375003505, 0.2659594828687205, 0.08031195687295903,
-      0.11785113019775792,
-    ],
-    [
-      0.12732200375003505, 0.2659594828687205, 0.1398745797335643,
-      -0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, 0.28331269663424463, -0.10016616449316076,
-      0.0278208779518491,
-    ],
-    [
-      0.12732200375003505, 0.28331269663424463, -0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, 0.28331269663424463, -0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      0.12732200375003505, 0.28331269663424463, 0.025989495184692683,
-      -0.10065688202665261,
-    ],
-    [
-      0.12732200375003505, 0.28331269663424463, 0.07417666930846809,
-      0.0728360040748035,
-    ],
-    [0.12732200375003505, 0.28331269663424463, 0.10395798073877073, 0.0],
-    [
-      0.14235032770828077, -0.27463608975148257, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      0.14235032770828077, -0.27463608975148257, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      0.14235032770828077, -0.27463608975148257, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      0.14235032770828077, -0.27463608975148257, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      0.14235032770828077, -0.27463608975148257, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      0.14235032770828077, -0.27463608975148257, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, -0.1837734828471132, -0.22632182417101426,
-      0.04501512612295441,
-    ],
-    [
-      0.14235032770828077, -0.1837734828471132, -0.1299474759234634,
-      -0.19068713427256145,
-    ],
-    [
-      0.14235032770828077, -0.1837734828471132, -0.10016616449316076,
-      0.20788138244366672,
-    ],
-    [
-      0.14235032770828077, -0.1837734828471132, 0.07417666930846809,
-      -0.21850801222441052,
-    ],
-    [
-      0.14235032770828077, -0.1837734828471132, 0.15214515486254615,
-      0.17349288610145613,
-    ],
-    [
-      0.14235032770828077, -0.1837734828471132, 0.2301136404166242,
-      -0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, -0.1556953931604526, -0.23624892798111513,
-      0.08346263385554731,
-    ],
-    [
-      0.14235032770828077, -0.1556953931604526, -0.1398745797335643,
-      0.20788138244366672,
-    ],
-    [
-      0.14235032770828077, -0.1556953931604526, -0.11009326830326166,
-      -0.22507563061477204,
-    ],
-    [
-      0.14235032770828077, -0.1556953931604526, 0.04584370280489444,
-      -0.24632889017625964,
-    ],
-    [
-      0.14235032770828077, -0.1556953931604526, 0.19040522517622066,
-      0.16286625632071233,
-    ],
-    [
-      0.14235032770828077, -0.1556953931604526, 0.24996784803682592,
-      0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, -0.12761730347379202, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      0.14235032770828077, -0.12761730347379202, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      0.14235032770828077, -0.12761730347379202, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      0.14235032770828077, -0.08218600002160734, -0.2622384231658078,
-      -0.10722450041701412,
-    ],
-    [
-      0.14235032770828077, -0.08218600002160734, 0.03826007031367453,
-      0.2807173865184702,
-    ],
-    [
-      0.14235032770828077, -0.08218600002160734, 0.22397835285213324,
-      -0.17349288610145613,
-    ],
-    [
-      0.14235032770828077, -0.008676606882762061, -0.28822791835050043,
-      0.06220937429405972,
-    ],
-    [
-      0.14235032770828077, -0.008676606882762061, -0.16207225867264702,
-      -0.24632889017625964,
-    ],
-    [
-      0.14235032770828077, -0.008676606882762061, -0.13229094724234436,
-      0.26352313834736496,
-    ],
-    [
-      0.14235032770828077, -0.008676606882762061, 0.0902390606830599,
-      -0.2807173865184702,
-    ],
-    [
-      0.14235032770828077, -0.008676606882762061, 0.19798885766744057,
-      0.21850801222441052,
-    ],
-    [
-      0.14235032770828077, -0.008676606882762061, 0.29436320591499143,
-      -0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, 0.008676606882762061, -0.29436320591499143,
-      0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, 0.008676606882762061, -0.19798885766744057,
-      -0.21850801222441052,
-    ],
-    [
-      0.14235032770828077, 0.008676606882762061, -0.0902390606830599,
-      0.2807173865184702,
-    ],
-    [
-      0.14235032770828077, 0.008676606882762061, 0.13229094724234436,
-      -0.26352313834736496,
-    ],
-    [
-      0.14235032770828077, 0.008676606882762061, 0.16207225867264702,
-      0.24632889017625964,
-    ],
-    [
-      0.14235032770828077, 0.008676606882762061, 0.28822791835050043,
-      -0.06220937429405972,
-    ],
-    [
-      0.14235032770828077, 0.08218600002160734, -0.22397835285213324,
-      0.17349288610145613,
-    ],
-    [
-      0.14235032770828077, 0.08218600002160734, -0.03826007031367453,
-      -0.2807173865184702,
-    ],
-    [
-      0.14235032770828077, 0.08218600002160734, 0.2622384231658078,
-      0.10722450041701412,
-    ],
-    [
-      0.14235032770828077, 0.12761730347379202, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      0.14235032770828077, 0.12761730347379202, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      0.14235032770828077, 0.12761730347379202, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      0.14235032770828077, 0.1556953931604526, -0.24996784803682592,
-      -0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, 0.1556953931604526, -0.19040522517622066,
-      -0.16286625632071233,
-    ],
-    [
-      0.14235032770828077, 0.1556953931604526, -0.04584370280489444,
-      0.24632889017625964,
-    ],
-    [
-      0.14235032770828077, 0.1556953931604526, 0.11009326830326166,
-      0.22507563061477204,
-    ],
-    [
-      0.14235032770828077, 0.1556953931604526, 0.1398745797335643,
-      -0.20788138244366672,
-    ],
-    [
-      0.14235032770828077, 0.1556953931604526, 0.23624892798111513,
-      -0.08346263385554731,
-    ],
-    [
-      0.14235032770828077, 0.1837734828471132, -0.2301136404166242,
-      0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, 0.1837734828471132, -0.15214515486254615,
-      -0.17349288610145613,
-    ],
-    [
-      0.14235032770828077, 0.1837734828471132, -0.07417666930846809,
-      0.21850801222441052,
-    ],
-    [
-      0.14235032770828077, 0.1837734828471132, 0.10016616449316076,
-      -0.20788138244366672,
-    ],
-    [
-      0.14235032770828077, 0.1837734828471132, 0.1299474759234634,
-      0.19068713427256145,
-    ],
-    [
-      0.14235032770828077, 0.1837734828471132, 0.22632182417101426,
-      -0.04501512612295441,
-    ],
-    [
-      0.14235032770828077, 0.27463608975148257, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      0.14235032770828077, 0.27463608975148257, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      0.14235032770828077, 0.27463608975148257, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      0.14235032770828077, 0.27463608975148257, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      0.14235032770828077, 0.27463608975148257, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      0.14235032770828077, 0.27463608975148257, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      0.16666666666666669, -0.2605970449081523, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      0.16666666666666669, -0.2605970449081523, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      0.16666666666666669, -0.2605970449081523, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, -0.2605970449081523, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      0.16666666666666669, -0.2605970449081523, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      0.16666666666666669, -0.2605970449081523, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      0.16666666666666669, -0.2432438311426282, -0.14221805105244528,
-      0.010626629780743798,
-    ],
-    [
-      0.16666666666666669, -0.2432438311426282, -0.09403087692866985,
-      -0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, -0.2432438311426282, -0.04584370280489444,
-      0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, -0.2432438311426282, 0.06190609417948624,
-      -0.1284777599785017,
-    ],
-    [
-      0.16666666666666669, -0.2432438311426282, 0.08031195687295903,
-      0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, -0.2432438311426282, 0.1398745797335643,
-      -0.0278208779518491,
-    ],
-    [
-      0.16666666666666669, -0.21516574145596762, -0.18192646629284875,
-      0.010626629780743798,
-    ],
-    [
-      0.16666666666666669, -0.21516574145596762, -0.1223638434322435,
-      -0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, -0.21516574145596762, -0.05577080661499532,
-      0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, -0.21516574145596762, 0.081760301799688,
-      -0.16286625632071233,
-    ],
-    [
-      0.16666666666666669, -0.21516574145596762, 0.10016616449316076,
-      0.15223962653996853,
-    ],
-    [
-      0.16666666666666669, -0.21516574145596762, 0.17813465004723883,
-      -0.038447507732592895,
-    ],
-    [
-      0.16666666666666669, -0.18708765176930703, -0.21025943279642245,
-      -0.017194248171105306,
-    ],
-    [
-      0.16666666666666669, -0.18708765176930703, -0.16207225867264702,
-      -0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, -0.18708765176930703, -0.03591659899479356,
-      0.20788138244366672,
-    ],
-    [
-      0.16666666666666669, -0.18708765176930703, 0.0902390606830599,
-      0.19068713427256145,
-    ],
-    [
-      0.16666666666666669, -0.18708765176930703, 0.12002037211336253,
-      -0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, -0.18708765176930703, 0.19798885766744057,
-      -0.0728360040748035,
-    ],
-    [
-      0.16666666666666669, -0.1697344380037829, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      0.16666666666666669, -0.1697344380037829, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, -0.1697344380037829, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      0.16666666666666669, -0.1697344380037829, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      0.16666666666666669, -0.1697344380037829, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      0.16666666666666669, -0.1697344380037829, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, -0.1243031345515982, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, -0.1243031345515982, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, -0.1243031345515982, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      0.16666666666666669, -0.1243031345515982, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      0.16666666666666669, -0.1243031345515982, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, -0.1243031345515982, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      0.16666666666666669, -0.09622504486493763, -0.24238421554560602,
-      0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, -0.09622504486493763, -0.16441572999152798,
-      0.20788138244366672,
-    ],
-    [
-      0.16666666666666669, -0.09622504486493763, -0.0978226931742798,
-      -0.24632889017625964,
-    ],
-    [
-      0.16666666666666669, -0.09622504486493763, 0.028332966503573656,
-      -0.26352313834736496,
-    ],
-    [
-      0.16666666666666669, -0.09622504486493763, 0.21405124904203238,
-      0.15629863793035081,
-    ],
-    [
-      0.16666666666666669, -0.09622504486493763, 0.2622384231658078,
-      0.038447507732592895,
-    ],
-    [
-      0.16666666666666669, -0.05079374141275293, -0.25844660692019783,
-      0.10065688202665261,
-    ],
-    [
-      0.16666666666666669, -0.05079374141275293, -0.16207225867264702,
-      0.22507563061477204,
-    ],
-    [
-      0.16666666666666669, -0.05079374141275293, -0.11388508454887161,
-      -0.25289650856662116,
-    ],
-    [
-      0.16666666666666669, -0.05079374141275293, 0.04205188655928449,
-      -0.27414976812810876,
-    ],
-    [
-      0.16666666666666669, -0.05079374141275293, 0.21639472036091334,
-      0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, -0.05079374141275293, 0.27595734322151866,
-      0.0278208779518491,
-    ],
-    [
-      0.16666666666666669, -0.02271565172609235, -0.2683737107302987,
-      -0.08346263385554731,
-    ],
-    [
-      0.16666666666666669, -0.02271565172609235, -0.24996784803682592,
-      -0.1284777599785017,
-    ],
-    [
-      0.16666666666666669, -0.02271565172609235, 0.013718920055710834,
-      0.2807173865184702,
-    ],
-    [
-      0.16666666666666669, -0.02271565172609235, 0.06190609417948624,
-      0.27414976812810876,
-    ],
-    [
-      0.16666666666666669, -0.02271565172609235, 0.20646761655081247,
-      -0.19068713427256145,
-    ],
-    [
-      0.16666666666666669, -0.02271565172609235, 0.23624892798111513,
-      -0.15223962653996853,
-    ],
-    [
-      0.16666666666666669, -0.0053624379605682285, -0.2561031356013169,
-      0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, -0.0053624379605682285, -0.17813465004723883,
-      0.21850801222441052,
-    ],
-    [
-      0.16666666666666669, -0.0053624379605682285, -0.10016616449316076,
-      -0.26352313834736496,
-    ],
-    [
-      0.16666666666666669, -0.0053624379605682285, 0.025989495184692683,
-      -0.2807173865184702,
-    ],
-    [
-      0.16666666666666669, -0.0053624379605682285, 0.2301136404166242,
-      0.16286625632071233,
-    ],
-    [
-      0.16666666666666669, -0.0053624379605682285, 0.27830081454039957,
-      0.04501512612295441,
-    ],
-    [
-      0.16666666666666669, 0.0053624379605682285, -0.27830081454039957,
-      -0.04501512612295441,
-    ],
-    [
-      0.16666666666666669, 0.0053624379605682285, -0.2301136404166242,
-      -0.16286625632071233,
-    ],
-    [
-      0.16666666666666669, 0.0053624379605682285, -0.025989495184692683,
-      0.2807173865184702,
-    ],
-    [
-      0.16666666666666669, 0.0053624379605682285, 0.10016616449316076,
-      0.26352313834736496,
-    ],
-    [
-      0.16666666666666669, 0.0053624379605682285, 0.17813465004723883,
-      -0.21850801222441052,
-    ],
-    [
-      0.16666666666666669, 0.0053624379605682285, 0.2561031356013169,
-      -0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, 0.02271565172609235, -0.23624892798111513,
-      0.15223962653996853,
-    ],
-    [
-      0.16666666666666669, 0.02271565172609235, -0.20646761655081247,
-      0.19068713427256145,
-    ],
-    [
-      0.16666666666666669, 0.02271565172609235, -0.06190609417948624,
-      -0.27414976812810876,
-    ],
-    [
-      0.16666666666666669, 0.02271565172609235, -0.013718920055710834,
-      -0.2807173865184702,
-    ],
-    [
-      0.16666666666666669, 0.02271565172609235, 0.24996784803682592,
-      0.1284777599785017,
-    ],
-    [
-      0.16666666666666669, 0.02271565172609235, 0.2683737107302987,
-      0.08346263385554731,
-    ],
-    [
-      0.16666666666666669, 0.05079374141275293, -0.27595734322151866,
-      -0.0278208779518491,
-    ],
-    [
-      0.16666666666666669, 0.05079374141275293, -0.21639472036091334,
-      -0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, 0.05079374141275293, -0.04205188655928449,
-      0.27414976812810876,
-    ],
-    [
-      0.16666666666666669, 0.05079374141275293, 0.11388508454887161,
-      0.25289650856662116,
-    ],
-    [
-      0.16666666666666669, 0.05079374141275293, 0.16207225867264702,
-      -0.22507563061477204,
-    ],
-    [
-      0.16666666666666669, 0.05079374141275293, 0.25844660692019783,
-      -0.10065688202665261,
-    ],
-    [
-      0.16666666666666669, 0.09622504486493763, -0.2622384231658078,
-      -0.038447507732592895,
-    ],
-    [
-      0.16666666666666669, 0.09622504486493763, -0.21405124904203238,
-      -0.15629863793035081,
-    ],
-    [
-      0.16666666666666669, 0.09622504486493763, -0.028332966503573656,
-      0.26352313834736496,
-    ],
-    [
-      0.16666666666666669, 0.09622504486493763, 0.0978226931742798,
-      0.24632889017625964,
-    ],
-    [
-      0.16666666666666669, 0.09622504486493763, 0.16441572999152798,
-      -0.20788138244366672,
-    ],
-    [
-      0.16666666666666669, 0.09622504486493763, 0.24238421554560602,
-      -0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, 0.1243031345515982, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      0.16666666666666669, 0.1243031345515982, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, 0.1243031345515982, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      0.16666666666666669, 0.1243031345515982, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      0.16666666666666669, 0.1243031345515982, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, 0.1243031345515982, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, 0.1697344380037829, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, 0.1697344380037829, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      0.16666666666666669, 0.1697344380037829, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      0.16666666666666669, 0.1697344380037829, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      0.16666666666666669, 0.1697344380037829, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, 0.1697344380037829, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [
-      0.16666666666666669, 0.18708765176930703, -0.19798885766744057,
-      0.0728360040748035,
-    ],
-    [
-      0.16666666666666669, 0.18708765176930703, -0.12002037211336253,
-      0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, 0.18708765176930703, -0.0902390606830599,
-      -0.19068713427256145,
-    ],
-    [
-      0.16666666666666669, 0.18708765176930703, 0.03591659899479356,
-      -0.20788138244366672,
-    ],
-    [
-      0.16666666666666669, 0.18708765176930703, 0.16207225867264702,
-      0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, 0.18708765176930703, 0.21025943279642245,
-      0.017194248171105306,
-    ],
-    [
-      0.16666666666666669, 0.21516574145596762, -0.17813465004723883,
-      0.038447507732592895,
-    ],
-    [
-      0.16666666666666669, 0.21516574145596762, -0.10016616449316076,
-      -0.15223962653996853,
-    ],
-    [
-      0.16666666666666669, 0.21516574145596762, -0.081760301799688,
-      0.16286625632071233,
-    ],
-    [
-      0.16666666666666669, 0.21516574145596762, 0.05577080661499532,
-      -0.17349288610145613,
-    ],
-    [
-      0.16666666666666669, 0.21516574145596762, 0.1223638434322435,
-      0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, 0.21516574145596762, 0.18192646629284875,
-      -0.010626629780743798,
-    ],
-    [
-      0.16666666666666669, 0.2432438311426282, -0.1398745797335643,
-      0.0278208779518491,
-    ],
-    [
-      0.16666666666666669, 0.2432438311426282, -0.08031195687295903,
-      -0.11785113019775792,
-    ],
-    [
-      0.16666666666666669, 0.2432438311426282, -0.06190609417948624,
-      0.1284777599785017,
-    ],
-    [
-      0.16666666666666669, 0.2432438311426282, 0.04584370280489444,
-      -0.1350453783688632,
-    ],
-    [
-      0.16666666666666669, 0.2432438311426282, 0.09403087692866985,
-      0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, 0.2432438311426282, 0.14221805105244528,
-      -0.010626629780743798,
-    ],
-    [
-      0.16666666666666669, 0.2605970449081523, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      0.16666666666666669, 0.2605970449081523, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      0.16666666666666669, 0.2605970449081523, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      0.16666666666666669, 0.2605970449081523, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      0.16666666666666669, 0.2605970449081523, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      0.16666666666666669, 0.2605970449081523, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      0.18169499062491237, -0.2519204380253902, -0.10016616449316076,
-      0.0278208779518491,
-    ],
-    [
-      0.18169499062491237, -0.2519204380253902, -0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, -0.2519204380253902, -0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, -0.2519204380253902, 0.025989495184692683,
-      -0.10065688202665261,
-    ],
-    [
-      0.18169499062491237, -0.2519204380253902, 0.07417666930846809,
-      0.0728360040748035,
-    ],
-    [0.18169499062491237, -0.2519204380253902, 0.10395798073877073, 0.0],
-    [
-      0.18169499062491237, -0.17841104488654497, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.18169499062491237, -0.17841104488654497, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.18169499062491237, -0.17841104488654497, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, -0.17841104488654497, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, -0.17841104488654497, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.18169499062491237, -0.17841104488654497, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, -0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, -0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, -0.14221805105244528,
-      0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, -0.09403087692866985,
-      -0.21850801222441052,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, 0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, 0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, 0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, 0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      0.18169499062491237, -0.13297974143436025, 0.23624892798111513,
-      0.0278208779518491,
-    ],
-    [
-      0.18169499062491237, -0.059470348295514994, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      0.18169499062491237, -0.059470348295514994, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      0.18169499062491237, -0.059470348295514994, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      0.18169499062491237, -0.014039044843330288, -0.2622384231658078,
-      0.0728360040748035,
-    ],
-    [
-      0.18169499062491237, -0.014039044843330288, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, -0.014039044843330288, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, -0.014039044843330288, 0.06804138174397717,
-      -0.26352313834736496,
-    ],
-    [
-      0.18169499062491237, -0.014039044843330288, 0.19419704142183064,
-      0.19068713427256145,
-    ],
-    [0.18169499062491237, -0.014039044843330288, 0.2721655269759087, 0.0],
-    [0.18169499062491237, 0.014039044843330288, -0.2721655269759087, 0.0],
-    [
-      0.18169499062491237, 0.014039044843330288, -0.19419704142183064,
-      -0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, 0.014039044843330288, -0.06804138174397717,
-      0.26352313834736496,
-    ],
-    [
-      0.18169499062491237, 0.014039044843330288, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, 0.014039044843330288, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, 0.014039044843330288, 0.2622384231658078,
-      -0.0728360040748035,
-    ],
-    [
-      0.18169499062491237, 0.059470348295514994, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      0.18169499062491237, 0.059470348295514994, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      0.18169499062491237, 0.059470348295514994, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, -0.23624892798111513,
-      -0.0278208779518491,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, -0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, -0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, -0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, -0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, 0.09403087692866985,
-      0.21850801222441052,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, 0.14221805105244528,
-      -0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, 0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, 0.13297974143436025, 0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, 0.17841104488654497, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.18169499062491237, 0.17841104488654497, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.18169499062491237, 0.17841104488654497, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, 0.17841104488654497, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.18169499062491237, 0.17841104488654497, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.18169499062491237, 0.17841104488654497, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [0.18169499062491237, 0.2519204380253902, -0.10395798073877073, 0.0],
-    [
-      0.18169499062491237, 0.2519204380253902, -0.07417666930846809,
-      -0.0728360040748035,
-    ],
-    [
-      0.18169499062491237, 0.2519204380253902, -0.025989495184692683,
-      0.10065688202665261,
-    ],
-    [
-      0.18169499062491237, 0.2519204380253902, 0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, 0.2519204380253902, 0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      0.18169499062491237, 0.2519204380253902, 0.10016616449316076,
-      -0.0278208779518491,
-    ],
-    [
-      0.19098300562505258, -0.2292047862992979, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      0.19098300562505258, -0.2292047862992979, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, -0.2292047862992979, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.2292047862992979, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      0.19098300562505258, -0.2292047862992979, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      0.19098300562505258, -0.2292047862992979, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      0.19098300562505258, -0.20112669661263732, -0.1719993624827479,
-      -0.0278208779518491,
-    ],
-    [
-      0.19098300562505258, -0.20112669661263732, -0.14221805105244528,
-      -0.10065688202665261,
-    ],
-    [
-      0.19098300562505258, -0.20112669661263732, -0.016062391374591804,
-      0.17349288610145613,
-    ],
-    [
-      0.19098300562505258, -0.20112669661263732, 0.06190609417948624,
-      0.16286625632071233,
-    ],
-    [
-      0.19098300562505258, -0.20112669661263732, 0.11009326830326166,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.20112669661263732, 0.1582804424270371,
-      -0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, -0.1837734828471132, -0.17813465004723883,
-      -0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, -0.1837734828471132, 0.025989495184692683,
-      0.19068713427256145,
-    ],
-    [
-      0.19098300562505258, -0.1837734828471132, 0.15214515486254615,
-      -0.11785113019775792,
-    ],
-    [
-      0.19098300562505258, -0.08218600002160734, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.08218600002160734, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      0.19098300562505258, -0.08218600002160734, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      0.19098300562505258, -0.08218600002160734, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      0.19098300562505258, -0.08218600002160734, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      0.19098300562505258, -0.08218600002160734, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, -0.03675469656942264, -0.2301136404166242,
-      0.1284777599785017,
-    ],
-    [
-      0.19098300562505258, -0.03675469656942264, -0.18192646629284875,
-      0.19068713427256145,
-    ],
-    [
-      0.19098300562505258, -0.03675469656942264, -0.07417666930846809,
-      -0.25289650856662116,
-    ],
-    [
-      0.19098300562505258, -0.03675469656942264, 0.003791816245609954,
-      -0.26352313834736496,
-    ],
-    [
-      0.19098300562505258, -0.03675469656942264, 0.22632182417101426,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.03675469656942264, 0.2561031356013169,
-      0.06220937429405972,
-    ],
-    [
-      0.19098300562505258, -0.008676606882762061, -0.21025943279642245,
-      0.16286625632071233,
-    ],
-    [
-      0.19098300562505258, -0.008676606882762061, -0.03591659899479356,
-      -0.26352313834736496,
-    ],
-    [
-      0.19098300562505258, -0.008676606882762061, 0.246176031791216,
-      0.10065688202665261,
-    ],
-    [
-      0.19098300562505258, 0.008676606882762061, -0.246176031791216,
-      -0.10065688202665261,
-    ],
-    [
-      0.19098300562505258, 0.008676606882762061, 0.03591659899479356,
-      0.26352313834736496,
-    ],
-    [
-      0.19098300562505258, 0.008676606882762061, 0.21025943279642245,
-      -0.16286625632071233,
-    ],
-    [
-      0.19098300562505258, 0.03675469656942264, -0.2561031356013169,
-      -0.06220937429405972,
-    ],
-    [
-      0.19098300562505258, 0.03675469656942264, -0.22632182417101426,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.03675469656942264, -0.003791816245609954,
-      0.26352313834736496,
-    ],
-    [
-      0.19098300562505258, 0.03675469656942264, 0.07417666930846809,
-      0.25289650856662116,
-    ],
-    [
-      0.19098300562505258, 0.03675469656942264, 0.18192646629284875,
-      -0.19068713427256145,
-    ],
-    [
-      0.19098300562505258, 0.03675469656942264, 0.2301136404166242,
-      -0.1284777599785017,
-    ],
-    [
-      0.19098300562505258, 0.08218600002160734, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, 0.08218600002160734, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      0.19098300562505258, 0.08218600002160734, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      0.19098300562505258, 0.08218600002160734, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      0.19098300562505258, 0.08218600002160734, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      0.19098300562505258, 0.08218600002160734, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.1837734828471132, -0.15214515486254615,
-      0.11785113019775792,
-    ],
-    [
-      0.19098300562505258, 0.1837734828471132, -0.025989495184692683,
-      -0.19068713427256145,
-    ],
-    [
-      0.19098300562505258, 0.1837734828471132, 0.17813465004723883,
-      0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, 0.20112669661263732, -0.1582804424270371,
-      0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, 0.20112669661263732, -0.11009326830326166,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.20112669661263732, -0.06190609417948624,
-      -0.16286625632071233,
-    ],
-    [
-      0.19098300562505258, 0.20112669661263732, 0.016062391374591804,
-      -0.17349288610145613,
-    ],
-    [
-      0.19098300562505258, 0.20112669661263732, 0.14221805105244528,
-      0.10065688202665261,
-    ],
-    [
-      0.19098300562505258, 0.20112669661263732, 0.1719993624827479,
-      0.0278208779518491,
-    ],
-    [
-      0.19098300562505258, 0.2292047862992979, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      0.19098300562505258, 0.2292047862992979, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      0.19098300562505258, 0.2292047862992979, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      0.19098300562505258, 0.2292047862992979, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.2292047862992979, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      0.19098300562505258, 0.2292047862992979, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, -0.0902390606830599,
-      -0.010626629780743798,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, -0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, -0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, -0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, -0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, 0.03591659899479356,
-      0.08346263385554731,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, 0.054322461688266335,
-      -0.0728360040748035,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, 0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      0.20601132958329826, -0.23788139318205997, 0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      0.20601132958329826, -0.22052817941653585, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, -0.22052817941653585, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      0.20601132958329826, -0.22052817941653585, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, -0.22052817941653585, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, -0.22052817941653585, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      0.20601132958329826, -0.22052817941653585, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, -0.19245008972987526, -0.165864074918257,
-      0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, -0.19245008972987526, -0.10630145205765171,
-      -0.1284777599785017,
-    ],
-    [
-      0.20601132958329826, -0.19245008972987526, -0.05811427793387629,
-      0.15629863793035081,
-    ],
-    [
-      0.20601132958329826, -0.19245008972987526, 0.06804138174397717,
-      -0.15223962653996853,
-    ],
-    [
-      0.20601132958329826, -0.19245008972987526, 0.0978226931742798,
-      0.1350453783688632,
-    ],
-    [
-      0.20601132958329826, -0.19245008972987526, 0.16441572999152798,
-      -0.0278208779518491,
-    ],
-    [
-      0.20601132958329826, -0.16437200004321467, -0.19419704142183064,
-      -0.010626629780743798,
-    ],
-    [
-      0.20601132958329826, -0.16437200004321467, -0.1460098672980552,
-      -0.1284777599785017,
-    ],
-    [
-      0.20601132958329826, -0.16437200004321467, -0.03826007031367453,
-      0.19068713427256145,
-    ],
-    [
-      0.20601132958329826, -0.16437200004321467, 0.08789558936417893,
-      0.17349288610145613,
-    ],
-    [
-      0.20601132958329826, -0.16437200004321467, 0.10630145205765171,
-      -0.16286625632071233,
-    ],
-    [
-      0.20601132958329826, -0.16437200004321467, 0.18426993761172977,
-      -0.06220937429405972,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, -0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, -0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, -0.18192646629284875,
-      -0.10065688202665261,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, -0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, -0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, 0.003791816245609954,
-      0.20788138244366672,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, 0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, 0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, 0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, 0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      0.20601132958329826, -0.14701878627769055, 0.17813465004723883,
-      -0.10722450041701412,
-    ],
-    [0.20601132958329826, -0.14701878627769055, 0.20791596147754146, 0.0],
-    [
-      0.20601132958329826, -0.11894069659102999, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, -0.11894069659102999, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      0.20601132958329826, -0.11894069659102999, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      0.20601132958329826, -0.11894069659102999, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      0.20601132958329826, -0.11894069659102999, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      0.20601132958329826, -0.11894069659102999, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, -0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, -0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, -0.14221805105244528,
-      0.19068713427256145,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, -0.09403087692866985,
-      -0.21850801222441052,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, 0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, 0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, 0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, 0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      0.20601132958329826, -0.0908626069043694, 0.23624892798111513,
-      0.0278208779518491,
-    ],
-    [
-      0.20601132958329826, -0.0454313034521847, -0.23624892798111513,
-      0.08346263385554731,
-    ],
-    [
-      0.20601132958329826, -0.0454313034521847, -0.1398745797335643,
-      0.20788138244366672,
-    ],
-    [
-      0.20601132958329826, -0.0454313034521847, -0.11009326830326166,
-      -0.22507563061477204,
-    ],
-    [
-      0.20601132958329826, -0.0454313034521847, 0.04584370280489444,
-      -0.24632889017625964,
-    ],
-    [
-      0.20601132958329826, -0.0454313034521847, 0.19040522517622066,
-      0.16286625632071233,
-    ],
-    [
-      0.20601132958329826, -0.0454313034521847, 0.24996784803682592,
-      0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, -0.028078089686660576, -0.24238421554560602,
-      -0.0728360040748035,
-    ],
-    [
-      0.20601132958329826, -0.028078089686660576, -0.22397835285213324,
-      -0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, -0.028078089686660576, 0.009927103810100878,
-      0.25289650856662116,
-    ],
-    [
-      0.20601132958329826, -0.028078089686660576, 0.05811427793387629,
-      0.24632889017625964,
-    ],
-    [
-      0.20601132958329826, -0.028078089686660576, 0.18426993761172977,
-      -0.17349288610145613,
-    ],
-    [
-      0.20601132958329826, -0.028078089686660576, 0.21405124904203238,
-      -0.1350453783688632,
-    ],
-    [0.20601132958329826, 0.0, -0.25231131935570694, -0.03438849634221061],
-    [0.20601132958329826, 0.0, -0.25231131935570694, 0.03438849634221061],
-    [0.20601132958329826, 0.0, -0.23390545666223417, 0.10065688202665261],
-    [0.20601132958329826, 0.0, -0.2041241452319315, -0.15223962653996853],
-    [0.20601132958329826, 0.0, -0.15593697110815607, -0.20131376405330523],
-    [0.20601132958329826, 0.0, -0.15593697110815607, 0.20131376405330523],
-    [0.20601132958329826, 0.0, -0.09637434824755081, -0.23570226039551584],
-    [0.20601132958329826, 0.0, -0.09637434824755081, 0.23570226039551584],
-    [0.20601132958329826, 0.0, -0.02978131143030264, 0.25289650856662116],
-    [0.20601132958329826, 0.0, 0.02978131143030264, -0.25289650856662116],
-    [0.20601132958329826, 0.0, 0.09637434824755081, -0.23570226039551584],
-    [0.20601132958329826, 0.0, 0.09637434824755081, 0.23570226039551584],
-    [0.20601132958329826, 0.0, 0.15593697110815607, -0.20131376405330523],
-    [0.20601132958329826, 0.0, 0.15593697110815607, 0.20131376405330523],
-    [0.20601132958329826, 0.0, 0.2041241452319315, 0.15223962653996853],
-    [0.20601132958329826, 0.0, 0.23390545666223417, -0.10065688202665261],
-    [0.20601132958329826, 0.0, 0.25231131935570694, -0.03438849634221061],
-    [0.20601132958329826, 0.0, 0.25231131935570694, 0.03438849634221061],
-    [
-      0.20601132958329826, 0.028078089686660576, -0.21405124904203238,
-      0.1350453783688632,
-    ],
-    [
-      0.20601132958329826, 0.028078089686660576, -0.18426993761172977,
-      0.17349288610145613,
-    ],
-    [
-      0.20601132958329826, 0.028078089686660576, -0.05811427793387629,
-      -0.24632889017625964,
-    ],
-    [
-      0.20601132958329826, 0.028078089686660576, -0.009927103810100878,
-      -0.25289650856662116,
-    ],
-    [
-      0.20601132958329826, 0.028078089686660576, 0.22397835285213324,
-      0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, 0.028078089686660576, 0.24238421554560602,
-      0.0728360040748035,
-    ],
-    [
-      0.20601132958329826, 0.0454313034521847, -0.24996784803682592,
-      -0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, 0.0454313034521847, -0.19040522517622066,
-      -0.16286625632071233,
-    ],
-    [
-      0.20601132958329826, 0.0454313034521847, -0.04584370280489444,
-      0.24632889017625964,
-    ],
-    [
-      0.20601132958329826, 0.0454313034521847, 0.11009326830326166,
-      0.22507563061477204,
-    ],
-    [
-      0.20601132958329826, 0.0454313034521847, 0.1398745797335643,
-      -0.20788138244366672,
-    ],
-    [
-      0.20601132958329826, 0.0454313034521847, 0.23624892798111513,
-      -0.08346263385554731,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, -0.23624892798111513,
-      -0.0278208779518491,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, -0.1880617538573397,
-      -0.145672008149607,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, -0.1880617538573397,
-      0.145672008149607,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, -0.03212478274918361,
-      -0.23570226039551584,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, -0.03212478274918361,
-      0.23570226039551584,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, 0.09403087692866985,
-      0.21850801222441052,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, 0.14221805105244528,
-      -0.19068713427256145,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, 0.22018653660652332,
-      -0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, 0.0908626069043694, 0.22018653660652332,
-      0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, 0.11894069659102999, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      0.20601132958329826, 0.11894069659102999, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      0.20601132958329826, 0.11894069659102999, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      0.20601132958329826, 0.11894069659102999, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      0.20601132958329826, 0.11894069659102999, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      0.20601132958329826, 0.11894069659102999, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [0.20601132958329826, 0.14701878627769055, -0.20791596147754146, 0.0],
-    [
-      0.20601132958329826, 0.14701878627769055, -0.17813465004723883,
-      0.10722450041701412,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, -0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, -0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, -0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, -0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, -0.003791816245609954,
-      -0.20788138244366672,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, 0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, 0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, 0.18192646629284875,
-      0.10065688202665261,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, 0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, 0.14701878627769055, 0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, 0.16437200004321467, -0.18426993761172977,
-      0.06220937429405972,
-    ],
-    [
-      0.20601132958329826, 0.16437200004321467, -0.10630145205765171,
-      0.16286625632071233,
-    ],
-    [
-      0.20601132958329826, 0.16437200004321467, -0.08789558936417893,
-      -0.17349288610145613,
-    ],
-    [
-      0.20601132958329826, 0.16437200004321467, 0.03826007031367453,
-      -0.19068713427256145,
-    ],
-    [
-      0.20601132958329826, 0.16437200004321467, 0.1460098672980552,
-      0.1284777599785017,
-    ],
-    [
-      0.20601132958329826, 0.16437200004321467, 0.19419704142183064,
-      0.010626629780743798,
-    ],
-    [
-      0.20601132958329826, 0.19245008972987526, -0.16441572999152798,
-      0.0278208779518491,
-    ],
-    [
-      0.20601132958329826, 0.19245008972987526, -0.0978226931742798,
-      -0.1350453783688632,
-    ],
-    [
-      0.20601132958329826, 0.19245008972987526, -0.06804138174397717,
-      0.15223962653996853,
-    ],
-    [
-      0.20601132958329826, 0.19245008972987526, 0.05811427793387629,
-      -0.15629863793035081,
-    ],
-    [
-      0.20601132958329826, 0.19245008972987526, 0.10630145205765171,
-      0.1284777599785017,
-    ],
-    [
-      0.20601132958329826, 0.19245008972987526, 0.165864074918257,
-      -0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, 0.22052817941653585, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, 0.22052817941653585, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      0.20601132958329826, 0.22052817941653585, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, 0.22052817941653585, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      0.20601132958329826, 0.22052817941653585, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      0.20601132958329826, 0.22052817941653585, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, -0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, -0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, -0.054322461688266335,
-      0.0728360040748035,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, -0.03591659899479356,
-      -0.08346263385554731,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, 0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, 0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, 0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, 0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      0.20601132958329826, 0.23788139318205997, 0.0902390606830599,
-      0.010626629780743798,
-    ],
-    [
-      0.23032766854168418, -0.22384234833872968, -0.06190609417948624,
-      0.017194248171105306,
-    ],
-    [
-      0.23032766854168418, -0.22384234833872968, -0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, -0.22384234833872968, -0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, -0.22384234833872968, 0.016062391374591804,
-      -0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, -0.22384234833872968, 0.04584370280489444,
-      0.04501512612295441,
-    ],
-    [0.23032766854168418, -0.22384234833872968, 0.06424956549836722, 0.0],
-    [
-      0.23032766854168418, -0.20648913457320556, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      0.23032766854168418, -0.20648913457320556, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      0.23032766854168418, -0.20648913457320556, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      0.23032766854168418, -0.20648913457320556, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, -0.20648913457320556, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, -0.20648913457320556, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      0.23032766854168418, -0.16105783112102084, -0.16207225867264702,
-      0.04501512612295441,
-    ],
-    [
-      0.23032766854168418, -0.16105783112102084, -0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      0.23032766854168418, -0.16105783112102084, -0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      0.23032766854168418, -0.16105783112102084, 0.04205188655928449,
-      -0.16286625632071233,
-    ],
-    [
-      0.23032766854168418, -0.16105783112102084, 0.12002037211336253,
-      0.11785113019775792,
-    ],
-    [0.23032766854168418, -0.16105783112102084, 0.16820754623713796, 0.0],
-    [
-      0.23032766854168418, -0.13297974143436025, -0.19040522517622066,
-      0.017194248171105306,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, -0.1719993624827479,
-      0.08346263385554731,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, -0.12381218835897248,
-      -0.145672008149607,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, -0.12381218835897248,
-      0.145672008149607,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, -0.06424956549836722,
-      -0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, -0.06424956549836722,
-      0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, 0.013718920055710834,
-      -0.19068713427256145,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, 0.08031195687295903,
-      -0.17349288610145613,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, 0.11009326830326166,
-      0.15629863793035081,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, 0.1582804424270371,
-      0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, 0.1880617538573397,
-      -0.03438849634221061,
-    ],
-    [
-      0.23032766854168418, -0.13297974143436025, 0.1880617538573397,
-      0.03438849634221061,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, -0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, -0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, -0.18192646629284875,
-      -0.10065688202665261,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, -0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, -0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, 0.003791816245609954,
-      0.20788138244366672,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, 0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, 0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, 0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, 0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      0.23032766854168418, -0.10490165174769969, 0.17813465004723883,
-      -0.10722450041701412,
-    ],
-    [0.23032766854168418, -0.10490165174769969, 0.20791596147754146, 0.0],
-    [
-      0.23032766854168418, -0.059470348295514994, -0.21639472036091334,
-      -0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, -0.059470348295514994, -0.19798885766744057,
-      -0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, -0.059470348295514994, 0.006135287564490924,
-      0.22507563061477204,
-    ],
-    [
-      0.23032766854168418, -0.059470348295514994, 0.054322461688266335,
-      0.21850801222441052,
-    ],
-    [
-      0.23032766854168418, -0.059470348295514994, 0.16207225867264702,
-      -0.15629863793035081,
-    ],
-    [
-      0.23032766854168418, -0.059470348295514994, 0.19185357010294968,
-      -0.11785113019775792,
-    ],
-    [
-      0.23032766854168418, -0.03139225860885442, -0.22632182417101426,
-      0.04501512612295441,
-    ],
-    [
-      0.23032766854168418, -0.03139225860885442, -0.1299474759234634,
-      -0.19068713427256145,
-    ],
-    [
-      0.23032766854168418, -0.03139225860885442, -0.10016616449316076,
-      0.20788138244366672,
-    ],
-    [
-      0.23032766854168418, -0.03139225860885442, 0.07417666930846809,
-      -0.21850801222441052,
-    ],
-    [
-      0.23032766854168418, -0.03139225860885442, 0.15214515486254615,
-      0.17349288610145613,
-    ],
-    [
-      0.23032766854168418, -0.03139225860885442, 0.2301136404166242,
-      -0.017194248171105306,
-    ],
-    [0.23032766854168418, -0.014039044843330288, -0.23245711173550515, 0.0],
-    [
-      0.23032766854168418, -0.014039044843330288, -0.165864074918257,
-      -0.16286625632071233,
-    ],
-    [
-      0.23032766854168418, -0.014039044843330288, -0.05811427793387629,
-      0.22507563061477204,
-    ],
-    [
-      0.23032766854168418, -0.014039044843330288, 0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, -0.014039044843330288, 0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, -0.014039044843330288, 0.22397835285213324,
-      -0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, 0.014039044843330288, -0.22397835285213324,
-      0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, 0.014039044843330288, -0.11622855586775258,
-      -0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, 0.014039044843330288, -0.11622855586775258,
-      0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, 0.014039044843330288, 0.05811427793387629,
-      -0.22507563061477204,
-    ],
-    [
-      0.23032766854168418, 0.014039044843330288, 0.165864074918257,
-      0.16286625632071233,
-    ],
-    [0.23032766854168418, 0.014039044843330288, 0.23245711173550515, 0.0],
-    [
-      0.23032766854168418, 0.03139225860885442, -0.2301136404166242,
-      0.017194248171105306,
-    ],
-    [
-      0.23032766854168418, 0.03139225860885442, -0.15214515486254615,
-      -0.17349288610145613,
-    ],
-    [
-      0.23032766854168418, 0.03139225860885442, -0.07417666930846809,
-      0.21850801222441052,
-    ],
-    [
-      0.23032766854168418, 0.03139225860885442, 0.10016616449316076,
-      -0.20788138244366672,
-    ],
-    [
-      0.23032766854168418, 0.03139225860885442, 0.1299474759234634,
-      0.19068713427256145,
-    ],
-    [
-      0.23032766854168418, 0.03139225860885442, 0.22632182417101426,
-      -0.04501512612295441,
-    ],
-    [
-      0.23032766854168418, 0.059470348295514994, -0.19185357010294968,
-      0.11785113019775792,
-    ],
-    [
-      0.23032766854168418, 0.059470348295514994, -0.16207225867264702,
-      0.15629863793035081,
-    ],
-    [
-      0.23032766854168418, 0.059470348295514994, -0.054322461688266335,
-      -0.21850801222441052,
-    ],
-    [
-      0.23032766854168418, 0.059470348295514994, -0.006135287564490924,
-      -0.22507563061477204,
-    ],
-    [
-      0.23032766854168418, 0.059470348295514994, 0.19798885766744057,
-      0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, 0.059470348295514994, 0.21639472036091334,
-      0.06220937429405972,
-    ],
-    [0.23032766854168418, 0.10490165174769969, -0.20791596147754146, 0.0],
-    [
-      0.23032766854168418, 0.10490165174769969, -0.17813465004723883,
-      0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, -0.14835333861693617,
-      -0.145672008149607,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, -0.14835333861693617,
-      0.145672008149607,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, -0.051978990369385365,
-      -0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, -0.051978990369385365,
-      0.20131376405330523,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, -0.003791816245609954,
-      -0.20788138244366672,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, 0.10395798073877073,
-      -0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, 0.10395798073877073,
-      0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, 0.18192646629284875,
-      0.10065688202665261,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, 0.20033232898632153,
-      -0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, 0.10490165174769969, 0.20033232898632153,
-      0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, -0.1880617538573397,
-      -0.03438849634221061,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, -0.1880617538573397,
-      0.03438849634221061,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, -0.1582804424270371,
-      -0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, -0.11009326830326166,
-      -0.15629863793035081,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, -0.08031195687295903,
-      0.17349288610145613,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, -0.013718920055710834,
-      0.19068713427256145,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, 0.06424956549836722,
-      -0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, 0.06424956549836722,
-      0.18006050449181765,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, 0.12381218835897248,
-      -0.145672008149607,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, 0.12381218835897248,
-      0.145672008149607,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, 0.1719993624827479,
-      -0.08346263385554731,
-    ],
-    [
-      0.23032766854168418, 0.13297974143436025, 0.19040522517622066,
-      -0.017194248171105306,
-    ],
-    [0.23032766854168418, 0.16105783112102084, -0.16820754623713796, 0.0],
-    [
-      0.23032766854168418, 0.16105783112102084, -0.12002037211336253,
-      -0.11785113019775792,
-    ],
-    [
-      0.23032766854168418, 0.16105783112102084, -0.04205188655928449,
-      0.16286625632071233,
-    ],
-    [
-      0.23032766854168418, 0.16105783112102084, 0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      0.23032766854168418, 0.16105783112102084, 0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      0.23032766854168418, 0.16105783112102084, 0.16207225867264702,
-      -0.04501512612295441,
-    ],
-    [
-      0.23032766854168418, 0.20648913457320556, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      0.23032766854168418, 0.20648913457320556, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, 0.20648913457320556, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      0.23032766854168418, 0.20648913457320556, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      0.23032766854168418, 0.20648913457320556, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      0.23032766854168418, 0.20648913457320556, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [0.23032766854168418, 0.22384234833872968, -0.06424956549836722, 0.0],
-    [
-      0.23032766854168418, 0.22384234833872968, -0.04584370280489444,
-      -0.04501512612295441,
-    ],
-    [
-      0.23032766854168418, 0.22384234833872968, -0.016062391374591804,
-      0.06220937429405972,
-    ],
-    [
-      0.23032766854168418, 0.22384234833872968, 0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, 0.22384234833872968, 0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      0.23032766854168418, 0.22384234833872968, 0.06190609417948624,
-      -0.017194248171105306,
-    ],
-    [
-      0.2453559924999299, -0.21516574145596762, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      0.2453559924999299, -0.21516574145596762, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, -0.21516574145596762, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      0.2453559924999299, -0.1697344380037829, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      0.2453559924999299, -0.1697344380037829, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      0.2453559924999299, -0.1697344380037829, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      0.2453559924999299, -0.1697344380037829, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      0.2453559924999299, -0.1697344380037829, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      0.2453559924999299, -0.1697344380037829, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, -0.14165634831712232, -0.1299474759234634,
-      0.10065688202665261,
-    ],
-    [
-      0.2453559924999299, -0.14165634831712232, -0.022197678939082727,
-      -0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, -0.14165634831712232, 0.15214515486254615,
-      0.06220937429405972,
-    ],
-    [
-      0.2453559924999299, -0.09622504486493763, -0.19419704142183064,
-      -0.010626629780743798,
-    ],
-    [
-      0.2453559924999299, -0.09622504486493763, -0.1460098672980552,
-      -0.1284777599785017,
-    ],
-    [
-      0.2453559924999299, -0.09622504486493763, -0.03826007031367453,
-      0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, -0.09622504486493763, 0.08789558936417893,
-      0.17349288610145613,
-    ],
-    [
-      0.2453559924999299, -0.09622504486493763, 0.10630145205765171,
-      -0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, -0.09622504486493763, 0.18426993761172977,
-      -0.06220937429405972,
-    ],
-    [
-      0.2453559924999299, -0.06814695517827704, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, -0.06814695517827704, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, -0.06814695517827704, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, -0.06814695517827704, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, -0.06814695517827704, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, -0.06814695517827704, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, -0.05079374141275293, -0.21025943279642245,
-      -0.017194248171105306,
-    ],
-    [
-      0.2453559924999299, -0.05079374141275293, -0.16207225867264702,
-      -0.1350453783688632,
-    ],
-    [
-      0.2453559924999299, -0.05079374141275293, -0.03591659899479356,
-      0.20788138244366672,
-    ],
-    [
-      0.2453559924999299, -0.05079374141275293, 0.0902390606830599,
-      0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, -0.05079374141275293, 0.12002037211336253,
-      -0.17349288610145613,
-    ],
-    [
-      0.2453559924999299, -0.05079374141275293, 0.19798885766744057,
-      -0.0728360040748035,
-    ],
-    [
-      0.2453559924999299, 0.05079374141275293, -0.19798885766744057,
-      0.0728360040748035,
-    ],
-    [
-      0.2453559924999299, 0.05079374141275293, -0.12002037211336253,
-      0.17349288610145613,
-    ],
-    [
-      0.2453559924999299, 0.05079374141275293, -0.0902390606830599,
-      -0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, 0.05079374141275293, 0.03591659899479356,
-      -0.20788138244366672,
-    ],
-    [
-      0.2453559924999299, 0.05079374141275293, 0.16207225867264702,
-      0.1350453783688632,
-    ],
-    [
-      0.2453559924999299, 0.05079374141275293, 0.21025943279642245,
-      0.017194248171105306,
-    ],
-    [
-      0.2453559924999299, 0.06814695517827704, -0.2041241452319315,
-      0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, 0.06814695517827704, -0.12615565967785347,
-      -0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, 0.06814695517827704, -0.07796848555407804,
-      0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, 0.06814695517827704, 0.07796848555407804,
-      -0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, 0.06814695517827704, 0.12615565967785347,
-      0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, 0.06814695517827704, 0.2041241452319315,
-      -0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, 0.09622504486493763, -0.18426993761172977,
-      0.06220937429405972,
-    ],
-    [
-      0.2453559924999299, 0.09622504486493763, -0.10630145205765171,
-      0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, 0.09622504486493763, -0.08789558936417893,
-      -0.17349288610145613,
-    ],
-    [
-      0.2453559924999299, 0.09622504486493763, 0.03826007031367453,
-      -0.19068713427256145,
-    ],
-    [
-      0.2453559924999299, 0.09622504486493763, 0.1460098672980552,
-      0.1284777599785017,
-    ],
-    [
-      0.2453559924999299, 0.09622504486493763, 0.19419704142183064,
-      0.010626629780743798,
-    ],
-    [
-      0.2453559924999299, 0.14165634831712232, -0.15214515486254615,
-      -0.06220937429405972,
-    ],
-    [
-      0.2453559924999299, 0.14165634831712232, 0.022197678939082727,
-      0.16286625632071233,
-    ],
-    [
-      0.2453559924999299, 0.14165634831712232, 0.1299474759234634,
-      -0.10065688202665261,
-    ],
-    [
-      0.2453559924999299, 0.1697344380037829, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, 0.1697344380037829, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      0.2453559924999299, 0.1697344380037829, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      0.2453559924999299, 0.1697344380037829, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      0.2453559924999299, 0.1697344380037829, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      0.2453559924999299, 0.1697344380037829, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      0.2453559924999299, 0.21516574145596762, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      0.2453559924999299, 0.21516574145596762, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      0.2453559924999299, 0.21516574145596762, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      0.2546440075000701, -0.19245008972987526, -0.05811427793387629,
-      0.04501512612295441,
-    ],
-    [
-      0.2546440075000701, -0.19245008972987526, -0.009927103810100878,
-      -0.0728360040748035,
-    ],
-    [
-      0.2546440075000701, -0.19245008972987526, 0.06804138174397717,
-      0.0278208779518491,
-    ],
-    [
-      0.2546440075000701, -0.11894069659102999, -0.16207225867264702,
-      0.04501512612295441,
-    ],
-    [
-      0.2546440075000701, -0.11894069659102999, -0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      0.2546440075000701, -0.11894069659102999, -0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      0.2546440075000701, -0.11894069659102999, 0.04205188655928449,
-      -0.16286625632071233,
-    ],
-    [
-      0.2546440075000701, -0.11894069659102999, 0.12002037211336253,
-      0.11785113019775792,
-    ],
-    [0.2546440075000701, -0.11894069659102999, 0.16820754623713796, 0.0],
-    [
-      0.2546440075000701, -0.07350939313884527, -0.17813465004723883,
-      -0.0728360040748035,
-    ],
-    [
-      0.2546440075000701, -0.07350939313884527, 0.025989495184692683,
-      0.19068713427256145,
-    ],
-    [
-      0.2546440075000701, -0.07350939313884527, 0.15214515486254615,
-      -0.11785113019775792,
-    ],
-    [0.2546440075000701, 0.0, -0.2041241452319315, 0.0278208779518491],
-    [0.2546440075000701, 0.0, -0.12615565967785347, -0.16286625632071233],
-    [0.2546440075000701, 0.0, -0.07796848555407804, 0.19068713427256145],
-    [0.2546440075000701, 0.0, 0.07796848555407804, -0.19068713427256145],
-    [0.2546440075000701, 0.0, 0.12615565967785347, 0.16286625632071233],
-    [0.2546440075000701, 0.0, 0.2041241452319315, -0.0278208779518491],
-    [
-      0.2546440075000701, 0.07350939313884527, -0.15214515486254615,
-      0.11785113019775792,
-    ],
-    [
-      0.2546440075000701, 0.07350939313884527, -0.025989495184692683,
-      -0.19068713427256145,
-    ],
-    [
-      0.2546440075000701, 0.07350939313884527, 0.17813465004723883,
-      0.0728360040748035,
-    ],
-    [0.2546440075000701, 0.11894069659102999, -0.16820754623713796, 0.0],
-    [
-      0.2546440075000701, 0.11894069659102999, -0.12002037211336253,
-      -0.11785113019775792,
-    ],
-    [
-      0.2546440075000701, 0.11894069659102999, -0.04205188655928449,
-      0.16286625632071233,
-    ],
-    [
-      0.2546440075000701, 0.11894069659102999, 0.08410377311856898,
-      -0.145672008149607,
-    ],
-    [
-      0.2546440075000701, 0.11894069659102999, 0.08410377311856898,
-      0.145672008149607,
-    ],
-    [
-      0.2546440075000701, 0.11894069659102999, 0.16207225867264702,
-      -0.04501512612295441,
-    ],
-    [
-      0.2546440075000701, 0.19245008972987526, -0.06804138174397717,
-      -0.0278208779518491,
-    ],
-    [
-      0.2546440075000701, 0.19245008972987526, 0.009927103810100878,
-      0.0728360040748035,
-    ],
-    [
-      0.2546440075000701, 0.19245008972987526, 0.05811427793387629,
-      -0.04501512612295441,
-    ],
-    [
-      0.2696723314583158, -0.1837734828471132, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      0.2696723314583158, -0.1837734828471132, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, -0.1837734828471132, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      0.2696723314583158, -0.1556953931604526, -0.08031195687295903,
-      0.06220937429405972,
-    ],
-    [
-      0.2696723314583158, -0.1556953931604526, -0.013718920055710834,
-      -0.10065688202665261,
-    ],
-    [
-      0.2696723314583158, -0.1556953931604526, 0.09403087692866985,
-      0.038447507732592895,
-    ],
-    [
-      0.2696723314583158, -0.12761730347379202, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      0.2696723314583158, -0.12761730347379202, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      0.2696723314583158, -0.12761730347379202, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      0.2696723314583158, -0.12761730347379202, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, -0.12761730347379202, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      0.2696723314583158, -0.12761730347379202, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, -0.08218600002160734, -0.165864074918257,
-      0.017194248171105306,
-    ],
-    [
-      0.2696723314583158, -0.08218600002160734, -0.10630145205765171,
-      -0.1284777599785017,
-    ],
-    [
-      0.2696723314583158, -0.08218600002160734, -0.05811427793387629,
-      0.15629863793035081,
-    ],
-    [
-      0.2696723314583158, -0.08218600002160734, 0.06804138174397717,
-      -0.15223962653996853,
-    ],
-    [
-      0.2696723314583158, -0.08218600002160734, 0.0978226931742798,
-      0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, -0.08218600002160734, 0.16441572999152798,
-      -0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, -0.06483278625608321, -0.1719993624827479,
-      -0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, -0.06483278625608321, -0.14221805105244528,
-      -0.10065688202665261,
-    ],
-    [
-      0.2696723314583158, -0.06483278625608321, -0.016062391374591804,
-      0.17349288610145613,
-    ],
-    [
-      0.2696723314583158, -0.06483278625608321, 0.06190609417948624,
-      0.16286625632071233,
-    ],
-    [
-      0.2696723314583158, -0.06483278625608321, 0.11009326830326166,
-      -0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, -0.06483278625608321, 0.1582804424270371,
-      -0.0728360040748035,
-    ],
-    [
-      0.2696723314583158, -0.03675469656942264, -0.18192646629284875,
-      0.010626629780743798,
-    ],
-    [
-      0.2696723314583158, -0.03675469656942264, -0.1223638434322435,
-      -0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, -0.03675469656942264, -0.05577080661499532,
-      0.17349288610145613,
-    ],
-    [
-      0.2696723314583158, -0.03675469656942264, 0.081760301799688,
-      -0.16286625632071233,
-    ],
-    [
-      0.2696723314583158, -0.03675469656942264, 0.10016616449316076,
-      0.15223962653996853,
-    ],
-    [
-      0.2696723314583158, -0.03675469656942264, 0.17813465004723883,
-      -0.038447507732592895,
-    ],
-    [
-      0.2696723314583158, 0.03675469656942264, -0.17813465004723883,
-      0.038447507732592895,
-    ],
-    [
-      0.2696723314583158, 0.03675469656942264, -0.10016616449316076,
-      -0.15223962653996853,
-    ],
-    [
-      0.2696723314583158, 0.03675469656942264, -0.081760301799688,
-      0.16286625632071233,
-    ],
-    [
-      0.2696723314583158, 0.03675469656942264, 0.05577080661499532,
-      -0.17349288610145613,
-    ],
-    [
-      0.2696723314583158, 0.03675469656942264, 0.1223638434322435,
-      0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, 0.03675469656942264, 0.18192646629284875,
-      -0.010626629780743798,
-    ],
-    [
-      0.2696723314583158, 0.06483278625608321, -0.1582804424270371,
-      0.0728360040748035,
-    ],
-    [
-      0.2696723314583158, 0.06483278625608321, -0.11009326830326166,
-      0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, 0.06483278625608321, -0.06190609417948624,
-      -0.16286625632071233,
-    ],
-    [
-      0.2696723314583158, 0.06483278625608321, 0.016062391374591804,
-      -0.17349288610145613,
-    ],
-    [
-      0.2696723314583158, 0.06483278625608321, 0.14221805105244528,
-      0.10065688202665261,
-    ],
-    [
-      0.2696723314583158, 0.06483278625608321, 0.1719993624827479,
-      0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, 0.08218600002160734, -0.16441572999152798,
-      0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, 0.08218600002160734, -0.0978226931742798,
-      -0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, 0.08218600002160734, -0.06804138174397717,
-      0.15223962653996853,
-    ],
-    [
-      0.2696723314583158, 0.08218600002160734, 0.05811427793387629,
-      -0.15629863793035081,
-    ],
-    [
-      0.2696723314583158, 0.08218600002160734, 0.10630145205765171,
-      0.1284777599785017,
-    ],
-    [
-      0.2696723314583158, 0.08218600002160734, 0.165864074918257,
-      -0.017194248171105306,
-    ],
-    [
-      0.2696723314583158, 0.12761730347379202, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, 0.12761730347379202, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      0.2696723314583158, 0.12761730347379202, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      0.2696723314583158, 0.12761730347379202, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      0.2696723314583158, 0.12761730347379202, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      0.2696723314583158, 0.12761730347379202, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      0.2696723314583158, 0.1556953931604526, -0.09403087692866985,
-      -0.038447507732592895,
-    ],
-    [
-      0.2696723314583158, 0.1556953931604526, 0.013718920055710834,
-      0.10065688202665261,
-    ],
-    [
-      0.2696723314583158, 0.1556953931604526, 0.08031195687295903,
-      -0.06220937429405972,
-    ],
-    [
-      0.2696723314583158, 0.1837734828471132, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      0.2696723314583158, 0.1837734828471132, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      0.2696723314583158, 0.1837734828471132, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, -0.14165634831712232, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, -0.14165634831712232, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, -0.14165634831712232, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-    [
-      0.29398867041670174, -0.1243031345515982, -0.05811427793387629,
-      0.04501512612295441,
-    ],
-    [
-      0.29398867041670174, -0.1243031345515982, -0.009927103810100878,
-      -0.0728360040748035,
-    ],
-    [
-      0.29398867041670174, -0.1243031345515982, 0.06804138174397717,
-      0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, -0.09622504486493763, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      0.29398867041670174, -0.09622504486493763, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      0.29398867041670174, -0.09622504486493763, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, -0.09622504486493763, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      0.29398867041670174, -0.09622504486493763, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      0.29398867041670174, -0.09622504486493763, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, -0.06814695517827704, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, -0.06814695517827704, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, -0.06814695517827704, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      0.29398867041670174, -0.06814695517827704, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      0.29398867041670174, -0.06814695517827704, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, -0.06814695517827704, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, -0.05079374141275293, -0.13229094724234436,
-      -0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, -0.05079374141275293, -0.11388508454887161,
-      -0.0728360040748035,
-    ],
-    [
-      0.29398867041670174, -0.05079374141275293, -0.006135287564490924,
-      0.1350453783688632,
-    ],
-    [
-      0.29398867041670174, -0.05079374141275293, 0.04205188655928449,
-      0.1284777599785017,
-    ],
-    [
-      0.29398867041670174, -0.05079374141275293, 0.0902390606830599,
-      -0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, -0.05079374141275293, 0.12002037211336253,
-      -0.06220937429405972,
-    ],
-    [
-      0.29398867041670174, -0.02271565172609235, -0.14221805105244528,
-      0.010626629780743798,
-    ],
-    [
-      0.29398867041670174, -0.02271565172609235, -0.09403087692866985,
-      -0.10722450041701412,
-    ],
-    [
-      0.29398867041670174, -0.02271565172609235, -0.04584370280489444,
-      0.1350453783688632,
-    ],
-    [
-      0.29398867041670174, -0.02271565172609235, 0.06190609417948624,
-      -0.1284777599785017,
-    ],
-    [
-      0.29398867041670174, -0.02271565172609235, 0.08031195687295903,
-      0.11785113019775792,
-    ],
-    [
-      0.29398867041670174, -0.02271565172609235, 0.1398745797335643,
-      -0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, 0.02271565172609235, -0.1398745797335643,
-      0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, 0.02271565172609235, -0.08031195687295903,
-      -0.11785113019775792,
-    ],
-    [
-      0.29398867041670174, 0.02271565172609235, -0.06190609417948624,
-      0.1284777599785017,
-    ],
-    [
-      0.29398867041670174, 0.02271565172609235, 0.04584370280489444,
-      -0.1350453783688632,
-    ],
-    [
-      0.29398867041670174, 0.02271565172609235, 0.09403087692866985,
-      0.10722450041701412,
-    ],
-    [
-      0.29398867041670174, 0.02271565172609235, 0.14221805105244528,
-      -0.010626629780743798,
-    ],
-    [
-      0.29398867041670174, 0.05079374141275293, -0.12002037211336253,
-      0.06220937429405972,
-    ],
-    [
-      0.29398867041670174, 0.05079374141275293, -0.0902390606830599,
-      0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, 0.05079374141275293, -0.04205188655928449,
-      -0.1284777599785017,
-    ],
-    [
-      0.29398867041670174, 0.05079374141275293, 0.006135287564490924,
-      -0.1350453783688632,
-    ],
-    [
-      0.29398867041670174, 0.05079374141275293, 0.11388508454887161,
-      0.0728360040748035,
-    ],
-    [
-      0.29398867041670174, 0.05079374141275293, 0.13229094724234436,
-      0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, 0.06814695517827704, -0.12615565967785347,
-      0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, 0.06814695517827704, -0.07796848555407804,
-      -0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, 0.06814695517827704, -0.048187174123775406,
-      0.11785113019775792,
-    ],
-    [
-      0.29398867041670174, 0.06814695517827704, 0.048187174123775406,
-      -0.11785113019775792,
-    ],
-    [
-      0.29398867041670174, 0.06814695517827704, 0.07796848555407804,
-      0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, 0.06814695517827704, 0.12615565967785347,
-      -0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, 0.09622504486493763, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      0.29398867041670174, 0.09622504486493763, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      0.29398867041670174, 0.09622504486493763, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      0.29398867041670174, 0.09622504486493763, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      0.29398867041670174, 0.09622504486493763, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      0.29398867041670174, 0.09622504486493763, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      0.29398867041670174, 0.1243031345515982, -0.06804138174397717,
-      -0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, 0.1243031345515982, 0.009927103810100878,
-      0.0728360040748035,
-    ],
-    [
-      0.29398867041670174, 0.1243031345515982, 0.05811427793387629,
-      -0.04501512612295441,
-    ],
-    [
-      0.29398867041670174, 0.14165634831712232, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      0.29398867041670174, 0.14165634831712232, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      0.29398867041670174, 0.14165634831712232, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      0.30901699437494745, -0.10490165174769969, -0.025989495184692683,
-      -0.010626629780743798,
-    ],
-    [
-      0.30901699437494745, -0.10490165174769969, 0.003791816245609954,
-      0.0278208779518491,
-    ],
-    [
-      0.30901699437494745, -0.10490165174769969, 0.022197678939082727,
-      -0.017194248171105306,
-    ],
-    [
-      0.30901699437494745, -0.08754843798217557, -0.06190609417948624,
-      0.017194248171105306,
-    ],
-    [
-      0.30901699437494745, -0.08754843798217557, -0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, -0.08754843798217557, -0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, -0.08754843798217557, 0.016062391374591804,
-      -0.06220937429405972,
-    ],
-    [
-      0.30901699437494745, -0.08754843798217557, 0.04584370280489444,
-      0.04501512612295441,
-    ],
-    [0.30901699437494745, -0.08754843798217557, 0.06424956549836722, 0.0],
-    [
-      0.30901699437494745, -0.059470348295514994, -0.0902390606830599,
-      -0.010626629780743798,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, -0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, -0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, -0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, -0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, 0.03591659899479356,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, 0.054322461688266335,
-      -0.0728360040748035,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, 0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      0.30901699437494745, -0.059470348295514994, 0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      0.30901699437494745, -0.03139225860885442, -0.10016616449316076,
-      0.0278208779518491,
-    ],
-    [
-      0.30901699437494745, -0.03139225860885442, -0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, -0.03139225860885442, -0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, -0.03139225860885442, 0.025989495184692683,
-      -0.10065688202665261,
-    ],
-    [
-      0.30901699437494745, -0.03139225860885442, 0.07417666930846809,
-      0.0728360040748035,
-    ],
-    [0.30901699437494745, -0.03139225860885442, 0.10395798073877073, 0.0],
-    [
-      0.30901699437494745, -0.014039044843330288, -0.10630145205765171,
-      -0.017194248171105306,
-    ],
-    [
-      0.30901699437494745, -0.014039044843330288, -0.08789558936417893,
-      -0.06220937429405972,
-    ],
-    [
-      0.30901699437494745, -0.014039044843330288, -0.009927103810100878,
-      0.10722450041701412,
-    ],
-    [
-      0.30901699437494745, -0.014039044843330288, 0.03826007031367453,
-      0.10065688202665261,
-    ],
-    [
-      0.30901699437494745, -0.014039044843330288, 0.06804138174397717,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.014039044843330288, 0.0978226931742798,
-      -0.04501512612295441,
-    ],
-    [
-      0.30901699437494745, 0.014039044843330288, -0.0978226931742798,
-      0.04501512612295441,
-    ],
-    [
-      0.30901699437494745, 0.014039044843330288, -0.06804138174397717,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.014039044843330288, -0.03826007031367453,
-      -0.10065688202665261,
-    ],
-    [
-      0.30901699437494745, 0.014039044843330288, 0.009927103810100878,
-      -0.10722450041701412,
-    ],
-    [
-      0.30901699437494745, 0.014039044843330288, 0.08789558936417893,
-      0.06220937429405972,
-    ],
-    [
-      0.30901699437494745, 0.014039044843330288, 0.10630145205765171,
-      0.017194248171105306,
-    ],
-    [0.30901699437494745, 0.03139225860885442, -0.10395798073877073, 0.0],
-    [
-      0.30901699437494745, 0.03139225860885442, -0.07417666930846809,
-      -0.0728360040748035,
-    ],
-    [
-      0.30901699437494745, 0.03139225860885442, -0.025989495184692683,
-      0.10065688202665261,
-    ],
-    [
-      0.30901699437494745, 0.03139225860885442, 0.051978990369385365,
-      -0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, 0.03139225860885442, 0.051978990369385365,
-      0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, 0.03139225860885442, 0.10016616449316076,
-      -0.0278208779518491,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, -0.08410377311856898,
-      -0.03438849634221061,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, -0.08410377311856898,
-      0.03438849634221061,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, -0.054322461688266335,
-      0.0728360040748035,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, -0.03591659899479356,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, 0.012270575128981848,
-      -0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, 0.012270575128981848,
-      0.09003025224590883,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, 0.07183319798958712,
-      -0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, 0.07183319798958712,
-      0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, 0.059470348295514994, 0.0902390606830599,
-      0.010626629780743798,
-    ],
-    [0.30901699437494745, 0.08754843798217557, -0.06424956549836722, 0.0],
-    [
-      0.30901699437494745, 0.08754843798217557, -0.04584370280489444,
-      -0.04501512612295441,
-    ],
-    [
-      0.30901699437494745, 0.08754843798217557, -0.016062391374591804,
-      0.06220937429405972,
-    ],
-    [
-      0.30901699437494745, 0.08754843798217557, 0.03212478274918361,
-      -0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, 0.08754843798217557, 0.03212478274918361,
-      0.0556417559036982,
-    ],
-    [
-      0.30901699437494745, 0.08754843798217557, 0.06190609417948624,
-      -0.017194248171105306,
-    ],
-    [
-      0.30901699437494745, 0.10490165174769969, -0.022197678939082727,
-      0.017194248171105306,
-    ],
-    [
-      0.30901699437494745, 0.10490165174769969, -0.003791816245609954,
-      -0.0278208779518491,
-    ],
-    [
-      0.30901699437494745, 0.10490165174769969, 0.025989495184692683,
-      0.010626629780743798,
-    ],
-  ],
-  faces: [
-    [57, 58, 59],
-    [54, 56, 59, 58],
-    [53, 55, 59, 57],
-    [49, 50, 56, 59, 55],
-    [51, 52, 58, 57],
-    [45, 46, 54, 58, 52],
-    [43, 44, 53, 57, 51],
-    [48, 54, 56],
-    [41, 48, 56, 50],
-    [47, 53, 55],
-    [40, 47, 55, 49],
-    [39, 46, 54, 48],
-    [38, 44, 53, 47],
-    [42, 51, 52],
-    [37, 42, 52, 45],
-    [36, 42, 51, 43],
-    [34, 35, 50, 49],
-    [35, 41, 50],
-    [34, 40, 49],
-    [28, 29, 41, 48, 39],
-    [26, 27, 40, 47, 38],
-    [32, 33, 46, 45],
-    [33, 39, 46],
-    [32, 37, 45],
-    [30, 31, 44, 43],
-    [31, 38, 44],
-    [30, 36, 43],
-    [24, 25, 37, 42, 36],
-    [23, 29, 41, 35],
-    [22, 27, 40, 34],
-    [21, 28, 39, 33],
-    [20, 26, 38, 31],
-    [19, 25, 37, 32],
-    [18, 24, 36, 30],
-    [17, 22, 34, 35, 23],
-    [12, 19, 32, 33, 21],
-    [11, 18, 30, 31, 20],
-    [15, 16, 29, 28],
-    [16, 23, 29],
-    [15, 21, 28],
-    [13, 14, 27, 26],
-    [14, 22, 27],
-    [13, 20, 26],
-    [9, 10, 25, 24],
-    [10, 19, 25],
-    [9, 18, 24],
-    [8, 16, 23, 17],
-    [7, 14, 22, 17],
-    [6, 12, 21, 15],
-    [5, 11, 20, 13],
-    [4, 10, 19, 12],
-    [3, 9, 18, 11],
-    [7, 8, 17],
-    [2, 6, 15, 16, 8],
-    [1, 5, 13, 14, 7],
-    [4, 6, 12],
-    [3, 5, 11],
-    [0, 3, 9, 10, 4],
-    [1, 2, 8, 7],
-    [0, 2, 6, 4],
-    [0, 1, 5, 3],
-    [0, 1, 2],
-    [0, 1, 60],
-    [3, 5, 63],
-    [1, 5, 63, 60],
-    [0, 3, 63, 60],
-    [0, 2, 61],
-    [4, 6, 64],
-    [2, 6, 64, 61],
-    [0, 4, 64, 61],
-    [1, 2, 62],
-    [7, 8, 65],
-    [1, 7, 65, 62],
-    [2, 8, 65, 62],
-    [9, 18, 72],
-    [3, 11, 66],
-    [11, 18, 72, 66],
-    [3, 9, 72, 66],
-    [12, 19, 73, 68],
-    [4, 10, 73, 68],
-    [4, 12, 68],
-    [10, 19, 73],
-    [5, 11, 67],
-    [13, 20, 74],
-    [5, 13, 74, 67],
-    [11, 20, 74, 67],
-    [12, 21, 75, 69],
-    [6, 12, 69],
-    [15, 21, 75],
-    [6, 15, 75, 69],
-    [7, 17, 70],
-    [14, 22, 76],
-    [7, 14, 76, 70],
-    [17, 22, 76, 70],
-    [8, 17, 71],
-    [16, 23, 77],
-    [8, 16, 77, 71],
-    [17, 23, 77, 71],
-    [9, 24, 78],
-    [10, 25, 79],
-    [24, 25, 79, 78],
-    [9, 10, 79, 78],
-    [26, 27, 81, 80],
-    [14, 27, 81],
-    [13, 26, 80],
-    [13, 14, 81, 80],
-    [16, 29, 83],
-    [15, 28, 82],
-    [28, 29, 83, 82],
-    [15, 16, 83, 82],
-    [18, 24, 84],
-    [30, 36, 90],
-    [18, 30, 90, 84],
-    [24, 36, 90, 84],
-    [19, 32, 91, 85],
-    [19, 25, 85],
-    [32, 37, 91],
-    [25, 37, 91, 85],
-    [26, 38, 92, 86],
-    [31, 38, 92],
-    [20, 26, 86],
-    [20, 31, 92, 86],
-    [21, 33, 93, 87],
-    [21, 28, 87],
-    [33, 39, 93],
-    [28, 39, 93, 87],
-    [27, 40, 94, 88],
-    [34, 40, 94],
-    [22, 27, 88],
-    [22, 34, 94, 88],
-    [35, 41, 95],
-    [23, 29, 89],
-    [29, 41, 95, 89],
-    [23, 35, 95, 89],
-    [30, 43, 96],
-    [31, 44, 97],
-    [30, 31, 97, 96],
-    [43, 44, 97, 96],
-    [32, 33, 99, 98],
-    [32, 45, 98],
-    [33, 46, 99],
-    [45, 46, 99, 98],
-    [35, 50, 101],
-    [34, 49, 100],
-    [34, 35, 101, 100],
-    [49, 50, 101, 100],
-    [36, 43, 102],
-    [42, 51, 108],
-    [36, 42, 108, 102],
-    [43, 51, 108, 102],
-    [42, 52, 109],
-    [37, 45, 103],
-    [45, 52, 109, 103],
-    [37, 42, 109, 103],
-    [38, 47, 110, 104],
-    [47, 53, 110],
-    [38, 44, 104],
-    [44, 53, 110, 104],
-    [48, 54, 112],
-    [39, 46, 105],
-    [39, 48, 112, 105],
-    [46, 54, 112, 105],
-    [40, 47, 111, 106],
-    [49, 55, 111, 106],
-    [40, 49, 106],
-    [47, 55, 111],
-    [41, 50, 107],
-    [48, 56, 113],
-    [41, 48, 113, 107],
-    [50, 56, 113, 107],
-    [57, 58, 117],
-    [51, 52, 114],
-    [52, 58, 117, 114],
-    [51, 57, 117, 114],
-    [57, 59, 118],
-    [53, 55, 115],
-    [53, 57, 118, 115],
-    [55, 59, 118, 115],
-    [58, 59, 119],
-    [54, 56, 116],
-    [54, 58, 119, 116],
-    [56, 59, 119, 116],
-    [60, 61, 62],
-    [2, 61, 62],
-    [1, 60, 62],
-    [0, 60, 61],
-    [63, 66, 67],
-    [11, 66, 67],
-    [5, 63, 67],
-    [3, 63, 66],
-    [64, 68, 69],
-    [12, 68, 69],
-    [6, 64, 69],
-    [4, 64, 68],
-    [65, 70, 71],
-    [17, 70, 71],
-    [8, 65, 71],
-    [7, 65, 70],
-    [72, 78, 84],
-    [24, 78, 84],
-    [18, 72, 84],
-    [9, 72, 78],
-    [73, 79, 85],
-    [25, 79, 85],
-    [19, 73, 85],
-    [10, 73, 79],
-    [74, 80, 86],
-    [26, 80, 86],
-    [20, 74, 86],
-    [13, 74, 80],
-    [75, 82, 87],
-    [28, 82, 87],
-    [21, 75, 87],
-    [15, 75, 82],
-    [76, 81, 88],
-    [27, 81, 88],
-    [22, 76, 88],
-    [14, 76, 81],
-    [77, 83, 89],
-    [29, 83, 89],
-    [23, 77, 89],
-    [16, 77, 83],
-    [90, 96, 102],
-    [43, 96, 102],
-    [36, 90, 102],
-    [30, 90, 96],
-    [91, 98, 103],
-    [45, 98, 103],
-    [37, 91, 103],
-    [32, 91, 98],
-    [92, 97, 104],
-    [44, 97, 104],
-    [38, 92, 104],
-    [31, 92, 97],
-    [93, 99, 105],
-    [46, 99, 105],
-    [39, 93, 105],
-    [33, 93, 99],
-    [94, 100, 106],
-    [49, 100, 106],
-    [40, 94, 106],
-    [34, 94, 100],
-    [95, 101, 107],
-    [50, 101, 107],
-    [41, 95, 107],
-    [35, 95, 101],
-    [108, 109, 114],
-    [52, 109, 114],
-    [51, 108, 114],
-    [42, 108, 109],
-    [110, 111, 115],
-    [55, 111, 115],
-    [53, 110, 115],
-    [47, 110, 111],
-    [112, 113, 116],
-    [56, 113, 116],
-    [54, 112, 116],
-    [48, 112, 113],
-    [117, 118, 119],
-    [59, 118, 119],
-    [58, 117, 119],
-    [57, 117, 118],
-    [60, 62, 122, 120],
-    [61, 62, 122, 121],
-    [60, 61, 121, 120],
-    [120, 121, 122],
-    [63, 66, 126, 123],
-    [63, 67, 127, 123],
-    [66, 67, 127, 126],
-    [123, 126, 127],
-    [68, 69, 129, 128],
-    [64, 68, 128, 124],
-    [64, 69, 129, 124],
-    [124, 128, 129],
-    [65, 71, 131, 125],
-    [65, 70, 130, 125],
-    [70, 71, 131, 130],
-    [125, 130, 131],
-    [72, 84, 144, 132],
-    [78, 84, 144, 138],
-    [72, 78, 138, 132],
-    [132, 138, 144],
-    [73, 85, 145, 133],
-    [73, 79, 139, 133],
-    [79, 85, 145, 139],
-    [133, 139, 145],
-    [80, 86, 146, 140],
-    [74, 80, 140, 134],
-    [74, 86, 146, 134],
-    [134, 140, 146],
-    [75, 87, 147, 135],
-    [75, 82, 142, 135],
-    [82, 87, 147, 142],
-    [135, 142, 147],
-    [81, 88, 148, 141],
-    [76, 88, 148, 136],
-    [76, 81, 141, 136],
-    [136, 141, 148],
-    [77, 89, 149, 137],
-    [83, 89, 149, 143],
-    [77, 83, 143, 137],
-    [137, 143, 149],
-    [90, 102, 162, 150],
-    [90, 96, 156, 150],
-    [96, 102, 162, 156],
-    [150, 156, 162],
-    [91, 98, 158, 151],
-    [91, 103, 163, 151],
-    [98, 103, 163, 158],
-    [151, 158, 163],
-    [92, 104, 164, 152],
-    [97, 104, 164, 157],
-    [92, 97, 157, 152],
-    [152, 157, 164],
-    [93, 99, 159, 153],
-    [93, 105, 165, 153],
-    [99, 105, 165, 159],
-    [153, 159, 165],
-    [94, 106, 166, 154],
-    [100, 106, 166, 160],
-    [94, 100, 160, 154],
-    [154, 160, 166],
-    [95, 107, 167, 155],
-    [95, 101, 161, 155],
-    [101, 107, 167, 161],
-    [155, 161, 167],
-    [108, 114, 174, 168],
-    [109, 114, 174, 169],
-    [108, 109, 169, 168],
-    [168, 169, 174],
-    [110, 111, 171, 170],
-    [111, 115, 175, 171],
-    [110, 115, 175, 170],
-    [170, 171, 175],
-    [113, 116, 176, 173],
-    [112, 113, 173, 172],
-    [112, 116, 176, 172],
-    [172, 173, 176],
-    [117, 119, 179, 177],
-    [117, 118, 178, 177],
-    [118, 119, 179, 178],
-    [177, 178, 179],
-    [540, 541, 547, 552, 546],
-    [412, 419, 552, 547],
-    [411, 417, 552, 546],
-    [417, 419, 552],
-    [400, 406, 547, 541],
-    [406, 412, 547],
-    [399, 405, 546, 540],
-    [405, 411, 546],
-    [390, 391, 541, 540],
-    [391, 400, 541],
-    [390, 399, 540],
-    [300, 302, 419, 417],
-    [223, 290, 412, 419, 302],
-    [222, 288, 411, 417, 300],
-    [283, 290, 412, 406],
-    [282, 288, 411, 405],
-    [215, 278, 400, 406, 283],
-    [213, 276, 399, 405, 282],
-    [271, 278, 400, 391],
-    [270, 276, 399, 390],
-    [210, 270, 390, 391, 271],
-    [189, 300, 302],
-    [139, 189, 302, 223],
-    [138, 189, 300, 222],
-    [184, 283, 290],
-    [133, 184, 290, 223],
-    [183, 282, 288],
-    [132, 183, 288, 222],
-    [128, 184, 283, 215],
-    [126, 183, 282, 213],
-    [181, 271, 278],
-    [124, 181, 278, 215],
-    [180, 270, 276],
-    [123, 180, 276, 213],
-    [121, 181, 271, 210],
-    [120, 180, 270, 210],
-    [133, 139, 223],
-    [132, 138, 222],
-    [124, 128, 215],
-    [123, 126, 213],
-    [120, 121, 210],
-    [78, 79, 139, 189, 138],
-    [68, 73, 133, 184, 128],
-    [66, 72, 132, 183, 126],
-    [61, 64, 124, 181, 121],
-    [60, 63, 123, 180, 120],
-    [542, 543, 549, 553, 548],
-    [414, 424, 553, 549],
-    [413, 422, 553, 548],
-    [422, 424, 553],
-    [403, 409, 549, 543],
-    [409, 414, 549],
-    [401, 407, 548, 542],
-    [407, 413, 548],
-    [394, 395, 543, 542],
-    [395, 403, 543],
-    [394, 401, 542],
-    [305, 307, 424, 422],
-    [225, 296, 414, 424, 307],
-    [224, 293, 413, 422, 305],
-    [286, 296, 414, 409],
-    [284, 293, 413, 407],
-    [217, 280, 403, 409, 286],
-    [214, 277, 401, 407, 284],
-    [274, 280, 403, 395],
-    [272, 277, 401, 394],
-    [211, 272, 394, 395, 274],
-    [190, 305, 307],
-    [141, 190, 307, 225],
-    [140, 190, 305, 224],
-    [187, 286, 296],
-    [136, 187, 296, 225],
-    [185, 284, 293],
-    [134, 185, 293, 224],
-    [130, 187, 286, 217],
-    [127, 185, 284, 214],
-    [182, 274, 280],
-    [125, 182, 280, 217],
-    [180, 272, 277],
-    [123, 180, 277, 214],
-    [122, 182, 274, 211],
-    [120, 180, 272, 211],
-    [136, 141, 225],
-    [134, 140, 224],
-    [125, 130, 217],
-    [123, 127, 214],
-    [120, 122, 211],
-    [80, 81, 141, 190, 140],
-    [70, 76, 136, 187, 130],
-    [67, 74, 134, 185, 127],
-    [62, 65, 125, 182, 122],
-    [544, 545, 551, 554, 550],
-    [416, 427, 554, 551],
-    [415, 425, 554, 550],
-    [425, 427, 554],
-    [404, 410, 551, 545],
-    [410, 416, 551],
-    [402, 408, 550, 544],
-    [408, 415, 550],
-    [396, 397, 545, 544],
-    [397, 404, 545],
-    [396, 402, 544],
-    [308, 310, 427, 425],
-    [227, 298, 416, 427, 310],
-    [226, 295, 415, 425, 308],
-    [287, 298, 416, 410],
-    [285, 295, 415, 408],
-    [218, 281, 404, 410, 287],
-    [216, 279, 402, 408, 285],
-    [275, 281, 404, 397],
-    [273, 279, 402, 396],
-    [212, 273, 396, 397, 275],
-    [191, 308, 310],
-    [143, 191, 310, 227],
-    [142, 191, 308, 226],
-    [188, 287, 298],
-    [137, 188, 298, 227],
-    [186, 285, 295],
-    [135, 186, 295, 226],
-    [131, 188, 287, 218],
-    [129, 186, 285, 216],
-    [182, 275, 281],
-    [125, 182, 281, 218],
-    [181, 273, 279],
-    [124, 181, 279, 216],
-    [122, 182, 275, 212],
-    [121, 181, 273, 212],
-    [137, 143, 227],
-    [135, 142, 226],
-    [125, 131, 218],
-    [124, 129, 216],
-    [121, 122, 212],
-    [82, 83, 143, 191, 142],
-    [71, 77, 137, 188, 131],
-    [69, 75, 135, 186, 129],
-    [555, 556, 562, 567, 561],
-    [461, 475, 567, 562],
-    [458, 474, 567, 561],
-    [474, 475, 567],
-    [437, 445, 562, 556],
-    [445, 461, 562],
-    [436, 444, 561, 555],
-    [444, 458, 561],
-    [429, 430, 556, 555],
-    [430, 437, 556],
-    [429, 436, 555],
-    [342, 343, 475, 474],
-    [241, 332, 461, 475, 343],
-    [240, 330, 458, 474, 342],
-    [320, 332, 461, 445],
-    [318, 330, 458, 444],
-    [230, 304, 437, 445, 320],
-    [228, 301, 436, 444, 318],
-    [291, 304, 437, 430],
-    [289, 301, 436, 429],
-    [219, 289, 429, 430, 291],
-    [198, 342, 343],
-    [157, 198, 343, 241],
-    [156, 198, 342, 240],
-    [194, 320, 332],
-    [152, 194, 332, 241],
-    [192, 318, 330],
-    [150, 192, 330, 240],
-    [146, 194, 320, 230],
-    [144, 192, 318, 228],
-    [185, 291, 304],
-    [134, 185, 304, 230],
-    [183, 289, 301],
-    [132, 183, 301, 228],
-    [127, 185, 291, 219],
-    [126, 183, 289, 219],
-    [152, 157, 241],
-    [150, 156, 240],
-    [134, 146, 230],
-    [132, 144, 228],
-    [126, 127, 219],
-    [96, 97, 157, 198, 156],
-    [86, 92, 152, 194, 146],
-    [84, 90, 150, 192, 144],
-    [557, 558, 564, 568, 563],
-    [465, 477, 568, 564],
-    [462, 476, 568, 563],
-    [476, 477, 568],
-    [439, 447, 564, 558],
-    [447, 465, 564],
-    [438, 446, 563, 557],
-    [446, 462, 563],
-    [431, 432, 558, 557],
-    [432, 439, 558],
-    [431, 438, 557],
-    [344, 345, 477, 476],
-    [243, 333, 465, 477, 345],
-    [242, 331, 462, 476, 344],
-    [321, 333, 465, 447],
-    [319, 331, 462, 446],
-    [231, 306, 439, 447, 321],
-    [229, 303, 438, 446, 319],
-    [294, 306, 439, 432],
-    [292, 303, 438, 431],
-    [220, 292, 431, 432, 294],
-    [199, 344, 345],
-    [159, 199, 345, 243],
-    [158, 199, 344, 242],
-    [195, 321, 333],
-    [153, 195, 333, 243],
-    [193, 319, 331],
-    [151, 193, 331, 242],
-    [147, 195, 321, 231],
-    [145, 193, 319, 229],
-    [186, 294, 306],
-    [135, 186, 306, 231],
-    [184, 292, 303],
-    [133, 184, 303, 229],
-    [129, 186, 294, 220],
-    [128, 184, 292, 220],
-    [153, 159, 243],
-    [151, 158, 242],
-    [135, 147, 231],
-    [133, 145, 229],
-    [128, 129, 220],
-    [98, 99, 159, 199, 158],
-    [87, 93, 153, 195, 147],
-    [85, 91, 151, 193, 145],
-    [559, 560, 566, 569, 565],
-    [473, 479, 569, 566],
-    [470, 478, 569, 565],
-    [478, 479, 569],
-    [443, 449, 566, 560],
-    [449, 473, 566],
-    [442, 448, 565, 559],
-    [448, 470, 565],
-    [433, 434, 560, 559],
-    [434, 443, 560],
-    [433, 442, 559],
-    [346, 347, 479, 478],
-    [245, 335, 473, 479, 347],
-    [244, 334, 470, 478, 346],
-    [323, 335, 473, 449],
-    [322, 334, 470, 448],
-    [233, 311, 443, 449, 323],
-    [232, 309, 442, 448, 322],
-    [299, 311, 443, 434],
-    [297, 309, 442, 433],
-    [221, 297, 433, 434, 299],
-    [200, 346, 347],
-    [161, 200, 347, 245],
-    [160, 200, 346, 244],
-    [197, 323, 335],
-    [155, 197, 335, 245],
-    [196, 322, 334],
-    [154, 196, 334, 244],
-    [149, 197, 323, 233],
-    [148, 196, 322, 232],
-    [188, 299, 311],
-    [137, 188, 311, 233],
-    [187, 297, 309],
-    [136, 187, 309, 232],
-    [131, 188, 299, 221],
-    [130, 187, 297, 221],
-    [155, 161, 245],
-    [154, 160, 244],
-    [137, 149, 233],
-    [136, 148, 232],
-    [130, 131, 221],
-    [100, 101, 161, 200, 160],
-    [89, 95, 155, 197, 149],
-    [88, 94, 154, 196, 148],
-    [570, 573, 579, 580, 574],
-    [495, 496, 580, 579],
-    [481, 487, 580, 574],
-    [487, 496, 580],
-    [480, 486, 579, 573],
-    [486, 495, 579],
-    [451, 459, 574, 570],
-    [459, 481, 574],
-    [450, 456, 573, 570],
-    [456, 480, 573],
-    [450, 451, 570],
-    [258, 360, 495, 496, 362],
-    [350, 362, 496, 487],
-    [348, 360, 495, 486],
-    [247, 337, 481, 487, 350],
-    [246, 336, 480, 486, 348],
-    [325, 337, 481, 459],
-    [324, 336, 480, 456],
-    [235, 313, 451, 459, 325],
-    [234, 312, 450, 456, 324],
-    [312, 313, 451, 450],
-    [202, 350, 362],
-    [169, 202, 362, 258],
-    [201, 348, 360],
-    [168, 201, 360, 258],
-    [163, 202, 350, 247],
-    [162, 201, 348, 246],
-    [193, 325, 337],
-    [151, 193, 337, 247],
-    [192, 324, 336],
-    [150, 192, 336, 246],
-    [145, 193, 325, 235],
-    [144, 192, 324, 234],
-    [189, 312, 313],
-    [139, 189, 313, 235],
-    [138, 189, 312, 234],
-    [168, 169, 258],
-    [151, 163, 247],
-    [150, 162, 246],
-    [139, 145, 235],
-    [138, 144, 234],
-    [103, 109, 169, 202, 163],
-    [102, 108, 168, 201, 162],
-    [571, 575, 581, 582, 576],
-    [497, 498, 582, 581],
-    [483, 491, 582, 576],
-    [491, 498, 582],
-    [482, 490, 581, 575],
-    [490, 497, 581],
-    [453, 467, 576, 571],
-    [467, 483, 576],
-    [452, 464, 575, 571],
-    [464, 482, 575],
-    [452, 453, 571],
-    [259, 365, 497, 498, 367],
-    [356, 367, 498, 491],
-    [353, 365, 497, 490],
-    [250, 340, 483, 491, 356],
-    [248, 338, 482, 490, 353],
-    [328, 340, 483, 467],
-    [326, 338, 482, 464],
-    [237, 315, 453, 467, 328],
-    [236, 314, 452, 464, 326],
-    [314, 315, 453, 452],
-    [205, 356, 367],
-    [171, 205, 367, 259],
-    [203, 353, 365],
-    [170, 203, 365, 259],
-    [166, 205, 356, 250],
-    [164, 203, 353, 248],
-    [196, 328, 340],
-    [154, 196, 340, 250],
-    [194, 326, 338],
-    [152, 194, 338, 248],
-    [148, 196, 328, 237],
-    [146, 194, 326, 236],
-    [190, 314, 315],
-    [141, 190, 315, 237],
-    [140, 190, 314, 236],
-    [170, 171, 259],
-    [154, 166, 250],
-    [152, 164, 248],
-    [141, 148, 237],
-    [140, 146, 236],
-    [106, 111, 171, 205, 166],
-    [104, 110, 170, 203, 164],
-    [572, 577, 583, 584, 578],
-    [499, 500, 584, 583],
-    [485, 493, 584, 578],
-    [493, 500, 584],
-    [484, 492, 583, 577],
-    [492, 499, 583],
-    [455, 471, 578, 572],
-    [471, 485, 578],
-    [454, 468, 577, 572],
-    [468, 484, 577],
-    [454, 455, 572],
-    [260, 368, 499, 500, 370],
-    [358, 370, 500, 493],
-    [355, 368, 499, 492],
-    [251, 341, 485, 493, 358],
-    [249, 339, 484, 492, 355],
-    [329, 341, 485, 471],
-    [327, 339, 484, 468],
-    [239, 317, 455, 471, 329],
-    [238, 316, 454, 468, 327],
-    [316, 317, 455, 454],
-    [206, 358, 370],
-    [173, 206, 370, 260],
-    [204, 355, 368],
-    [172, 204, 368, 260],
-    [167, 206, 358, 251],
-    [165, 204, 355, 249],
-    [197, 329, 341],
-    [155, 197, 341, 251],
-    [195, 327, 339],
-    [153, 195, 339, 249],
-    [149, 197, 329, 239],
-    [147, 195, 327, 238],
-    [191, 316, 317],
-    [143, 191, 317, 239],
-    [142, 191, 316, 238],
-    [172, 173, 260],
-    [155, 167, 251],
-    [153, 165, 249],
-    [143, 149, 239],
-    [142, 147, 238],
-    [107, 113, 173, 206, 167],
-    [105, 112, 172, 204, 165],
-    [585, 588, 594, 595, 589],
-    [532, 533, 595, 594],
-    [521, 527, 595, 589],
-    [527, 533, 595],
-    [519, 525, 594, 588],
-    [525, 532, 594],
-    [504, 514, 589, 585],
-    [514, 521, 589],
-    [502, 513, 588, 585],
-    [513, 519, 588],
-    [502, 504, 585],
-    [267, 384, 532, 533, 386],
-    [380, 386, 533, 527],
-    [378, 384, 532, 525],
-    [263, 374, 521, 527, 380],
-    [261, 372, 519, 525, 378],
-    [364, 374, 521, 514],
-    [361, 372, 519, 513],
-    [253, 351, 504, 514, 364],
-    [252, 349, 502, 513, 361],
-    [349, 351, 504, 502],
-    [208, 380, 386],
-    [178, 208, 386, 267],
-    [207, 378, 384],
-    [177, 207, 384, 267],
-    [175, 208, 380, 263],
-    [174, 207, 378, 261],
-    [203, 364, 374],
-    [170, 203, 374, 263],
-    [201, 361, 372],
-    [168, 201, 372, 261],
-    [164, 203, 364, 253],
-    [162, 201, 361, 252],
-    [198, 349, 351],
-    [157, 198, 351, 253],
-    [156, 198, 349, 252],
-    [177, 178, 267],
-    [170, 175, 263],
-    [168, 174, 261],
-    [157, 164, 253],
-    [156, 162, 252],
-    [115, 118, 178, 208, 175],
-    [114, 117, 177, 207, 174],
-    [586, 590, 596, 597, 591],
-    [534, 535, 597, 596],
-    [522, 528, 597, 591],
-    [528, 535, 597],
-    [520, 526, 596, 590],
-    [526, 534, 596],
-    [507, 516, 591, 586],
-    [516, 522, 591],
-    [505, 515, 590, 586],
-    [515, 520, 590],
-    [505, 507, 586],
-    [268, 385, 534, 535, 387],
-    [382, 387, 535, 528],
-    [379, 385, 534, 526],
-    [265, 375, 522, 528, 382],
-    [262, 373, 520, 526, 379],
-    [366, 375, 522, 516],
-    [363, 373, 520, 515],
-    [255, 354, 507, 516, 366],
-    [254, 352, 505, 515, 363],
-    [352, 354, 507, 505],
-    [209, 382, 387],
-    [179, 209, 387, 268],
-    [207, 379, 385],
-    [177, 207, 385, 268],
-    [176, 209, 382, 265],
-    [174, 207, 379, 262],
-    [204, 366, 375],
-    [172, 204, 375, 265],
-    [202, 363, 373],
-    [169, 202, 373, 262],
-    [165, 204, 366, 255],
-    [163, 202, 363, 254],
-    [199, 352, 354],
-    [159, 199, 354, 255],
-    [158, 199, 352, 254],
-    [177, 179, 268],
-    [172, 176, 265],
-    [169, 174, 262],
-    [159, 165, 255],
-    [158, 163, 254],
-    [116, 119, 179, 209, 176],
-    [587, 592, 598, 599, 593],
-    [538, 539, 599, 598],
-    [524, 530, 599, 593],
-    [530, 539, 599],
-    [523, 529, 598, 592],
-    [529, 538, 598],
-    [512, 518, 593, 587],
-    [518, 524, 593],
-    [510, 517, 592, 587],
-    [517, 523, 592],
-    [510, 512, 587],
-    [269, 388, 538, 539, 389],
-    [383, 389, 539, 530],
-    [381, 388, 538, 529],
-    [266, 377, 524, 530, 383],
-    [264, 376, 523, 529, 381],
-    [371, 377, 524, 518],
-    [369, 376, 523, 517],
-    [257, 359, 512, 518, 371],
-    [256, 357, 510, 517, 369],
-    [357, 359, 512, 510],
-    [209, 383, 389],
-    [179, 209, 389, 269],
-    [208, 381, 388],
-    [178, 208, 388, 269],
-    [176, 209, 383, 266],
-    [175, 208, 381, 264],
-    [206, 371, 377],
-    [173, 206, 377, 266],
-    [205, 369, 376],
-    [171, 205, 376, 264],
-    [167, 206, 371, 257],
-    [166, 205, 369, 256],
-    [200, 357, 359],
-    [161, 200, 359, 257],
-    [160, 200, 357, 256],
-    [178, 179, 269],
-    [173, 176, 266],
-    [171, 175, 264],
-    [161, 167, 257],
-    [160, 166, 256],
-    [210, 211, 212],
-    [122, 211, 212],
-    [121, 210, 212],
-    [120, 210, 211],
-    [213, 214, 219],
-    [127, 214, 219],
-    [126, 213, 219],
-    [123, 213, 214],
-    [215, 216, 220],
-    [129, 216, 220],
-    [128, 215, 220],
-    [124, 215, 216],
-    [217, 218, 221],
-    [131, 218, 221],
-    [130, 217, 221],
-    [125, 217, 218],
-    [222, 228, 234],
-    [144, 228, 234],
-    [138, 222, 234],
-    [132, 222, 228],
-    [223, 229, 235],
-    [145, 229, 235],
-    [139, 223, 235],
-    [133, 223, 229],
-    [224, 230, 236],
-    [146, 230, 236],
-    [140, 224, 236],
-    [134, 224, 230],
-    [226, 231, 238],
-    [147, 231, 238],
-    [142, 226, 238],
-    [135, 226, 231],
-    [225, 232, 237],
-    [148, 232, 237],
-    [141, 225, 237],
-    [136, 225, 232],
-    [227, 233, 239],
-    [149, 233, 239],
-    [143, 227, 239],
-    [137, 227, 233],
-    [240, 246, 252],
-    [162, 246, 252],
-    [156, 240, 252],
-    [150, 240, 246],
-    [242, 247, 254],
-    [163, 247, 254],
-    [158, 242, 254],
-    [151, 242, 247],
-    [241, 248, 253],
-    [164, 248, 253],
-    [157, 241, 253],
-    [152, 241, 248],
-    [243, 249, 255],
-    [165, 249, 255],
-    [159, 243, 255],
-    [153, 243, 249],
-    [244, 250, 256],
-    [166, 250, 256],
-    [160, 244, 256],
-    [154, 244, 250],
-    [245, 251, 257],
-    [167, 251, 257],
-    [161, 245, 257],
-    [155, 245, 251],
-    [258, 261, 262],
-    [174, 261, 262],
-    [169, 258, 262],
-    [168, 258, 261],
-    [259, 263, 264],
-    [175, 263, 264],
-    [171, 259, 264],
-    [170, 259, 263],
-    [260, 265, 266],
-    [176, 265, 266],
-    [173, 260, 266],
-    [172, 260, 265],
-    [267, 268, 269],
-    [179, 268, 269],
-    [178, 267, 269],
-    [177, 267, 268],
-    [180, 270, 272],
-    [210, 211, 272, 270],
-    [181, 271, 273],
-    [210, 212, 273, 271],
-    [182, 274, 275],
-    [211, 212, 275, 274],
-    [180, 276, 277],
-    [213, 214, 277, 276],
-    [181, 278, 279],
-    [215, 216, 279, 278],
-    [182, 280, 281],
-    [217, 218, 281, 280],
-    [183, 282, 289],
-    [213, 219, 289, 282],
-    [185, 284, 291],
-    [214, 219, 291, 284],
-    [184, 283, 292],
-    [215, 220, 292, 283],
-    [186, 285, 294],
-    [216, 220, 294, 285],
-    [187, 286, 297],
-    [217, 221, 297, 286],
-    [188, 287, 299],
-    [218, 221, 299, 287],
-    [183, 288, 301],
-    [222, 228, 301, 288],
-    [184, 290, 303],
-    [223, 229, 303, 290],
-    [224, 230, 304, 293],
-    [185, 293, 304],
-    [226, 231, 306, 295],
-    [186, 295, 306],
-    [225, 232, 309, 296],
-    [187, 296, 309],
-    [188, 298, 311],
-    [227, 233, 311, 298],
-    [189, 300, 312],
-    [222, 234, 312, 300],
-    [189, 302, 313],
-    [223, 235, 313, 302],
-    [224, 236, 314, 305],
-    [190, 305, 314],
-    [190, 307, 315],
-    [225, 237, 315, 307],
-    [226, 238, 316, 308],
-    [191, 308, 316],
-    [191, 310, 317],
-    [227, 239, 317, 310],
-    [192, 318, 324],
-    [228, 234, 324, 318],
-    [193, 319, 325],
-    [229, 235, 325, 319],
-    [230, 236, 326, 320],
-    [194, 320, 326],
-    [195, 321, 327],
-    [231, 238, 327, 321],
-    [232, 237, 328, 322],
-    [196, 322, 328],
-    [197, 323, 329],
-    [233, 239, 329, 323],
-    [192, 330, 336],
-    [240, 246, 336, 330],
-    [242, 247, 337, 331],
-    [193, 331, 337],
-    [194, 332, 338],
-    [241, 248, 338, 332],
-    [243, 249, 339, 333],
-    [195, 333, 339],
-    [196, 334, 340],
-    [244, 250, 340, 334],
-    [197, 335, 341],
-    [245, 251, 341, 335],
-    [198, 342, 349],
-    [240, 252, 349, 342],
-    [241, 253, 351, 343],
-    [198, 343, 351],
-    [199, 344, 352],
-    [242, 254, 352, 344],
-    [243, 255, 354, 345],
-    [199, 345, 354],
-    [200, 346, 357],
-    [244, 256, 357, 346],
-    [200, 347, 359],
-    [245, 257, 359, 347],
-    [201, 348, 361],
-    [246, 252, 361, 348],
-    [247, 254, 363, 350],
-    [202, 350, 363],
-    [248, 253, 364, 353],
-    [203, 353, 364],
-    [249, 255, 366, 355],
-    [204, 355, 366],
-    [205, 356, 369],
-    [250, 256, 369, 356],
-    [206, 358, 371],
-    [251, 257, 371, 358],
-    [201, 360, 372],
-    [258, 261, 372, 360],
-    [202, 362, 373],
-    [258, 262, 373, 362],
-    [203, 365, 374],
-    [259, 263, 374, 365],
-    [205, 367, 376],
-    [259, 264, 376, 367],
-    [204, 368, 375],
-    [260, 265, 375, 368],
-    [206, 370, 377],
-    [260, 266, 377, 370],
-    [207, 378, 379],
-    [261, 262, 379, 378],
-    [208, 380, 381],
-    [263, 264, 381, 380],
-    [209, 382, 383],
-    [265, 266, 383, 382],
-    [207, 384, 385],
-    [267, 268, 385, 384],
-    [208, 386, 388],
-    [267, 269, 388, 386],
-    [209, 387, 389],
-    [268, 269, 389, 387],
-    [276, 277, 392],
-    [272, 277, 392],
-    [270, 276, 392],
-    [270, 272, 392],
-    [278, 279, 393],
-    [273, 279, 393],
-    [271, 278, 393],
-    [271, 273, 393],
-    [280, 281, 398],
-    [275, 281, 398],
-    [274, 280, 398],
-    [274, 275, 398],
-    [289, 301, 418],
-    [288, 301, 418],
-    [282, 289, 418],
-    [282, 288, 418],
-    [292, 303, 420],
-    [290, 303, 420],
-    [283, 292, 420],
-    [283, 290, 420],
-    [293, 304, 421],
-    [291, 304, 421],
-    [284, 293, 421],
-    [284, 291, 421],
-    [295, 306, 423],
-    [294, 306, 423],
-    [285, 295, 423],
-    [285, 294, 423],
-    [297, 309, 426],
-    [296, 309, 426],
-    [286, 297, 426],
-    [286, 296, 426],
-    [299, 311, 428],
-    [298, 311, 428],
-    [287, 299, 428],
-    [287, 298, 428],
-    [312, 313, 435],
-    [302, 313, 435],
-    [300, 312, 435],
-    [300, 302, 435],
-    [314, 315, 440],
-    [307, 315, 440],
-    [305, 314, 440],
-    [305, 307, 440],
-    [316, 317, 441],
-    [310, 317, 441],
-    [308, 316, 441],
-    [308, 310, 441],
-    [330, 336, 457],
-    [324, 336, 457],
-    [318, 330, 457],
-    [318, 324, 457],
-    [331, 337, 460],
-    [325, 337, 460],
-    [319, 331, 460],
-    [319, 325, 460],
-    [332, 338, 463],
-    [326, 338, 463],
-    [320, 332, 463],
-    [320, 326, 463],
-    [333, 339, 466],
-    [327, 339, 466],
-    [321, 333, 466],
-    [321, 327, 466],
-    [334, 340, 469],
-    [328, 340, 469],
-    [322, 334, 469],
-    [322, 328, 469],
-    [335, 341, 472],
-    [329, 341, 472],
-    [323, 335, 472],
-    [323, 329, 472],
-    [349, 351, 488],
-    [343, 351, 488],
-    [342, 349, 488],
-    [342, 343, 488],
-    [352, 354, 489],
-    [345, 354, 489],
-    [344, 352, 489],
-    [344, 345, 489],
-    [357, 359, 494],
-    [347, 359, 494],
-    [346, 357, 494],
-    [346, 347, 494],
-    [361, 372, 501],
-    [360, 372, 501],
-    [348, 361, 501],
-    [348, 360, 501],
-    [363, 373, 503],
-    [362, 373, 503],
-    [350, 363, 503],
-    [350, 362, 503],
-    [365, 374, 506],
-    [364, 374, 506],
-    [353, 365, 506],
-    [353, 364, 506],
-    [368, 375, 508],
-    [366, 375, 508],
-    [355, 368, 508],
-    [355, 366, 508],
-    [369, 376, 509],
-    [367, 376, 509],
-    [356, 369, 509],
-    [356, 367, 509],
-    [371, 377, 511],
-    [370, 377, 511],
-    [358, 371, 511],
-    [358, 370, 511],
-    [384, 385, 531],
-    [379, 385, 531],
-    [378, 384, 531],
-    [378, 379, 531],
-    [386, 388, 536],
-    [381, 388, 536],
-    [380, 386, 536],
-    [380, 381, 536],
-    [387, 389, 537],
-    [383, 389, 537],
-    [382, 387, 537],
-    [382, 383, 537],
-    [276, 392, 600, 399],
-    [390, 399, 600],
-    [270, 390, 600, 392],
-    [278, 393, 601, 400],
-    [271, 391, 601, 393],
-    [391, 400, 601],
-    [272, 392, 602, 394],
-    [394, 401, 602],
-    [277, 392, 602, 401],
-    [279, 393, 603, 402],
-    [273, 393, 603, 396],
-    [396, 402, 603],
-    [274, 395, 604, 398],
-    [395, 403, 604],
-    [280, 398, 604, 403],
-    [275, 397, 605, 398],
-    [281, 398, 605, 404],
-    [397, 404, 605],
-    [282, 405, 606, 418],
-    [405, 411, 606],
-    [288, 411, 606, 418],
-    [283, 406, 607, 420],
-    [290, 412, 607, 420],
-    [406, 412, 607],
-    [293, 413, 608, 421],
-    [284, 407, 608, 421],
-    [407, 413, 608],
-    [295, 415, 609, 423],
-    [285, 408, 609, 423],
-    [408, 415, 609],
-    [296, 414, 610, 426],
-    [286, 409, 610, 426],
-    [409, 414, 610],
-    [287, 410, 611, 428],
-    [298, 416, 611, 428],
-    [410, 416, 611],
-    [302, 419, 612, 435],
-    [300, 417, 612, 435],
-    [417, 419, 612],
-    [301, 418, 613, 436],
-    [429, 436, 613],
-    [289, 418, 613, 429],
-    [304, 421, 614, 437],
-    [291, 421, 614, 430],
-    [430, 437, 614],
-    [431, 438, 615],
-    [292, 420, 615, 431],
-    [303, 420, 615, 438],
-    [432, 439, 616],
-    [306, 423, 616, 439],
-    [294, 423, 616, 432],
-    [305, 422, 617, 440],
-    [307, 424, 617, 440],
-    [422, 424, 617],
-    [308, 425, 618, 441],
-    [310, 427, 618, 441],
-    [425, 427, 618],
-    [309, 426, 619, 442],
-    [297, 426, 619, 433],
-    [433, 442, 619],
-    [311, 428, 620, 443],
-    [299, 428, 620, 434],
-    [434, 443, 620],
-    [313, 435, 621, 451],
-    [312, 435, 621, 450],
-    [450, 451, 621],
-    [452, 453, 622],
-    [314, 440, 622, 452],
-    [315, 440, 622, 453],
-    [316, 441, 623, 454],
-    [317, 441, 623, 455],
-    [454, 455, 623],
-    [318, 444, 624, 457],
-    [444, 458, 624],
-    [330, 457, 624, 458],
-    [446, 462, 625],
-    [331, 460, 625, 462],
-    [319, 446, 625, 460],
-    [320, 445, 626, 463],
-    [332, 461, 626, 463],
-    [445, 461, 626],
-    [447, 465, 627],
-    [333, 465, 627, 466],
-    [321, 447, 627, 466],
-    [322, 448, 628, 469],
-    [334, 469, 628, 470],
-    [448, 470, 628],
-    [323, 449, 629, 472],
-    [449, 473, 629],
-    [335, 472, 629, 473],
-    [336, 457, 630, 480],
-    [456, 480, 630],
-    [324, 456, 630, 457],
-    [337, 460, 631, 481],
-    [325, 459, 631, 460],
-    [459, 481, 631],
-    [464, 482, 632],
-    [326, 463, 632, 464],
-    [338, 463, 632, 482],
-    [339, 466, 633, 484],
-    [327, 466, 633, 468],
-    [468, 484, 633],
-    [467, 483, 634],
-    [328, 467, 634, 469],
-    [340, 469, 634, 483],
-    [341, 472, 635, 485],
-    [471, 485, 635],
-    [329, 471, 635, 472],
-    [343, 475, 636, 488],
-    [342, 474, 636, 488],
-    [474, 475, 636],
-    [476, 477, 637],
-    [345, 477, 637, 489],
-    [344, 476, 637, 489],
-    [346, 478, 638, 494],
-    [347, 479, 638, 494],
-    [478, 479, 638],
-    [348, 486, 639, 501],
-    [360, 495, 639, 501],
-    [486, 495, 639],
-    [350, 487, 640, 503],
-    [362, 496, 640, 503],
-    [487, 496, 640],
-    [351, 488, 641, 504],
-    [349, 488, 641, 502],
-    [502, 504, 641],
-    [354, 489, 642, 507],
-    [352, 489, 642, 505],
-    [505, 507, 642],
-    [490, 497, 643],
-    [353, 490, 643, 506],
-    [365, 497, 643, 506],
-    [491, 498, 644],
-    [356, 491, 644, 509],
-    [367, 498, 644, 509],
-    [355, 492, 645, 508],
-    [368, 499, 645, 508],
-    [492, 499, 645],
-    [358, 493, 646, 511],
-    [493, 500, 646],
-    [370, 500, 646, 511],
-    [357, 494, 647, 510],
-    [359, 494, 647, 512],
-    [510, 512, 647],
-    [372, 501, 648, 519],
-    [361, 501, 648, 513],
-    [513, 519, 648],
-    [363, 503, 649, 515],
-    [373, 503, 649, 520],
-    [515, 520, 649],
-    [364, 506, 650, 514],
-    [374, 506, 650, 521],
-    [514, 521, 650],
-    [366, 508, 651, 516],
-    [375, 508, 651, 522],
-    [516, 522, 651],
-    [369, 509, 652, 517],
-    [376, 509, 652, 523],
-    [517, 523, 652],
-    [377, 511, 653, 524],
-    [518, 524, 653],
-    [371, 511, 653, 518],
-    [384, 531, 654, 532],
-    [378, 525, 654, 531],
-    [525, 532, 654],
-    [385, 531, 655, 534],
-    [526, 534, 655],
-    [379, 526, 655, 531],
-    [380, 527, 656, 536],
-    [386, 533, 656, 536],
-    [527, 533, 656],
-    [387, 535, 657, 537],
-    [528, 535, 657],
-    [382, 528, 657, 537],
-    [381, 529, 658, 536],
-    [388, 536, 658, 538],
-    [529, 538, 658],
-    [383, 530, 659, 537],
-    [530, 539, 659],
-    [389, 537, 659, 539],
-    [390, 540, 660],
-    [391, 541, 661],
-    [390, 391, 661, 660],
-    [540, 541, 661, 660],
-    [394, 395, 663, 662],
-    [395, 543, 663],
-    [394, 542, 662],
-    [542, 543, 663, 662],
-    [397, 545, 665],
-    [396, 544, 664],
-    [396, 397, 665, 664],
-    [544, 545, 665, 664],
-    [399, 540, 666],
-    [405, 546, 672],
-    [399, 405, 672, 666],
-    [540, 546, 672, 666],
-    [400, 541, 667],
-    [406, 547, 673],
-    [400, 406, 673, 667],
-    [541, 547, 673, 667],
-    [401, 542, 668],
-    [407, 548, 674],
-    [401, 407, 674, 668],
-    [542, 548, 674, 668],
-    [402, 544, 669],
-    [408, 550, 675],
-    [402, 408, 675, 669],
-    [544, 550, 675, 669],
-    [403, 543, 670],
-    [409, 549, 676],
-    [403, 409, 676, 670],
-    [543, 549, 676, 670],
-    [404, 410, 677, 671],
-    [404, 545, 671],
-    [410, 551, 677],
-    [545, 551, 677, 671],
-    [411, 546, 678],
-    [417, 552, 684],
-    [411, 417, 684, 678],
-    [546, 552, 684, 678],
-    [419, 552, 685],
-    [412, 547, 679],
-    [412, 419, 685, 679],
-    [547, 552, 685, 679],
-    [413, 548, 680],
-    [422, 553, 686],
-    [413, 422, 686, 680],
-    [548, 553, 686, 680],
-    [414, 549, 681],
-    [424, 553, 687],
-    [414, 424, 687, 681],
-    [549, 553, 687, 681],
-    [425, 554, 688],
-    [415, 550, 682],
-    [415, 425, 688, 682],
-    [550, 554, 688, 682],
-    [416, 551, 683],
-    [427, 554, 689],
-    [416, 427, 689, 683],
-    [551, 554, 689, 683],
-    [429, 555, 690],
-    [430, 556, 691],
-    [429, 430, 691, 690],
-    [555, 556, 691, 690],
-    [431, 557, 692],
-    [431, 432, 693, 692],
-    [432, 558, 693],
-    [557, 558, 693, 692],
-    [434, 560, 695],
-    [433, 559, 694],
-    [433, 434, 695, 694],
-    [559, 560, 695, 694],
-    [436, 444, 702, 696],
-    [444, 561, 702],
-    [436, 555, 696],
-    [555, 561, 702, 696],
-    [437, 556, 697],
-    [445, 562, 703],
-    [437, 445, 703, 697],
-    [556, 562, 703, 697],
-    [438, 557, 698],
-    [438, 446, 704, 698],
-    [446, 563, 704],
-    [557, 563, 704, 698],
-    [439, 558, 699],
-    [447, 564, 705],
-    [439, 447, 705, 699],
-    [558, 564, 705, 699],
-    [442, 559, 700],
-    [448, 565, 706],
-    [442, 448, 706, 700],
-    [559, 565, 706, 700],
-    [443, 449, 707, 701],
-    [449, 566, 707],
-    [443, 560, 701],
-    [560, 566, 707, 701],
-    [456, 573, 720],
-    [450, 570, 708],
-    [450, 456, 720, 708],
-    [570, 573, 720, 708],
-    [451, 570, 709],
-    [459, 574, 721],
-    [451, 459, 721, 709],
-    [570, 574, 721, 709],
-    [458, 561, 714],
-    [474, 567, 726],
-    [458, 474, 726, 714],
-    [561, 567, 726, 714],
-    [475, 567, 727],
-    [461, 562, 715],
-    [461, 475, 727, 715],
-    [562, 567, 727, 715],
-    [462, 563, 716],
-    [476, 568, 728],
-    [462, 476, 728, 716],
-    [563, 568, 728, 716],
-    [465, 564, 717],
-    [477, 568, 729],
-    [564, 568, 729, 717],
-    [465, 477, 729, 717],
-    [452, 571, 710],
-    [464, 575, 722],
-    [571, 575, 722, 710],
-    [452, 464, 722, 710],
-    [467, 576, 723],
-    [453, 571, 711],
-    [453, 467, 723, 711],
-    [571, 576, 723, 711],
-    [454, 572, 712],
-    [468, 577, 724],
-    [454, 468, 724, 712],
-    [572, 577, 724, 712],
-    [471, 578, 725],
-    [455, 572, 713],
-    [455, 471, 725, 713],
-    [572, 578, 725, 713],
-    [478, 569, 730],
-    [470, 565, 718],
-    [470, 478, 730, 718],
-    [565, 569, 730, 718],
-    [473, 566, 719],
-    [479, 569, 731],
-    [473, 479, 731, 719],
-    [566, 569, 731, 719],
-    [480, 486, 738, 732],
-    [480, 573, 732],
-    [486, 579, 738],
-    [573, 579, 738, 732],
-    [487, 580, 739],
-    [481, 574, 733],
-    [481, 487, 739, 733],
-    [574, 580, 739, 733],
-    [490, 581, 740],
-    [482, 575, 734],
-    [482, 490, 740, 734],
-    [575, 581, 740, 734],
-    [491, 582, 741],
-    [483, 491, 741, 735],
-    [483, 576, 735],
-    [576, 582, 741, 735],
-    [492, 583, 742],
-    [484, 577, 736],
-    [484, 492, 742, 736],
-    [577, 583, 742, 736],
-    [485, 493, 743, 737],
-    [485, 578, 737],
-    [493, 584, 743],
-    [578, 584, 743, 737],
-    [495, 579, 744],
-    [496, 580, 745],
-    [495, 496, 745, 744],
-    [579, 580, 745, 744],
-    [498, 582, 747],
-    [497, 498, 747, 746],
-    [497, 581, 746],
-    [581, 582, 747, 746],
-    [500, 584, 749],
-    [499, 583, 748],
-    [499, 500, 749, 748],
-    [583, 584, 749, 748],
-    [513, 588, 756],
-    [502, 585, 750],
-    [502, 513, 756, 750],
-    [585, 588, 756, 750],
-    [504, 585, 751],
-    [514, 589, 757],
-    [504, 514, 757, 751],
-    [585, 589, 757, 751],
-    [515, 590, 758],
-    [505, 586, 752],
-    [505, 515, 758, 752],
-    [586, 590, 758, 752],
-    [516, 591, 759],
-    [507, 586, 753],
-    [507, 516, 759, 753],
-    [586, 591, 759, 753],
-    [510, 587, 754],
-    [517, 592, 760],
-    [510, 517, 760, 754],
-    [587, 592, 760, 754],
-    [518, 593, 761],
-    [512, 587, 755],
-    [512, 518, 761, 755],
-    [587, 593, 761, 755],
-    [519, 525, 768, 762],
-    [525, 594, 768],
-    [519, 588, 762],
-    [588, 594, 768, 762],
-    [526, 596, 769],
-    [520, 590, 763],
-    [520, 526, 769, 763],
-    [590, 596, 769, 763],
-    [527, 595, 770],
-    [521, 589, 764],
-    [521, 527, 770, 764],
-    [589, 595, 770, 764],
-    [528, 597, 771],
-    [522, 591, 765],
-    [522, 528, 771, 765],
-    [591, 597, 771, 765],
-    [529, 598, 772],
-    [523, 592, 766],
-    [523, 529, 772, 766],
-    [592, 598, 772, 766],
-    [530, 599, 773],
-    [524, 593, 767],
-    [524, 530, 773, 767],
-    [593, 599, 773, 767],
-    [532, 594, 774],
-    [533, 595, 775],
-    [532, 533, 775, 774],
-    [594, 595, 775, 774],
-    [534, 535, 777, 776],
-    [534, 596, 776],
-    [535, 597, 777],
-    [596, 597, 777, 776],
-    [539, 599, 779],
-    [538, 598, 778],
-    [538, 539, 779, 778],
-    [598, 599, 779, 778],
-    [600, 660, 666],
-    [540, 660, 666],
-    [399, 600, 666],
-    [390, 600, 660],
-    [601, 661, 667],
-    [541, 661, 667],
-    [400, 601, 667],
-    [391, 601, 661],
-    [602, 662, 668],
-    [542, 662, 668],
-    [401, 602, 668],
-    [394, 602, 662],
-    [603, 664, 669],
-    [544, 664, 669],
-    [402, 603, 669],
-    [396, 603, 664],
-    [604, 663, 670],
-    [543, 663, 670],
-    [403, 604, 670],
-    [395, 604, 663],
-    [605, 665, 671],
-    [545, 665, 671],
-    [404, 605, 671],
-    [397, 605, 665],
-    [606, 672, 678],
-    [546, 672, 678],
-    [411, 606, 678],
-    [405, 606, 672],
-    [607, 673, 679],
-    [547, 673, 679],
-    [412, 607, 679],
-    [406, 607, 673],
-    [608, 674, 680],
-    [548, 674, 680],
-    [413, 608, 680],
-    [407, 608, 674],
-    [609, 675, 682],
-    [550, 675, 682],
-    [415, 609, 682],
-    [408, 609, 675],
-    [610, 676, 681],
-    [549, 676, 681],
-    [414, 610, 681],
-    [409, 610, 676],
-    [611, 677, 683],
-    [551, 677, 683],
-    [416, 611, 683],
-    [410, 611, 677],
-    [612, 684, 685],
-    [552, 684, 685],
-    [419, 612, 685],
-    [417, 612, 684],
-    [617, 686, 687],
-    [553, 686, 687],
-    [424, 617, 687],
-    [422, 617, 686],
-    [618, 688, 689],
-    [554, 688, 689],
-    [427, 618, 689],
-    [425, 618, 688],
-    [613, 690, 696],
-    [555, 690, 696],
-    [436, 613, 696],
-    [429, 613, 690],
-    [614, 691, 697],
-    [556, 691, 697],
-    [437, 614, 697],
-    [430, 614, 691],
-    [615, 692, 698],
-    [557, 692, 698],
-    [438, 615, 698],
-    [431, 615, 692],
-    [616, 693, 699],
-    [558, 693, 699],
-    [439, 616, 699],
-    [432, 616, 693],
-    [619, 694, 700],
-    [559, 694, 700],
-    [442, 619, 700],
-    [433, 619, 694],
-    [620, 695, 701],
-    [560, 695, 701],
-    [443, 620, 701],
-    [434, 620, 695],
-    [621, 708, 709],
-    [570, 708, 709],
-    [451, 621, 709],
-    [450, 621, 708],
-    [624, 702, 714],
-    [561, 702, 714],
-    [458, 624, 714],
-    [444, 624, 702],
-    [626, 703, 715],
-    [562, 703, 715],
-    [461, 626, 715],
-    [445, 626, 703],
-    [625, 704, 716],
-    [563, 704, 716],
-    [462, 625, 716],
-    [446, 625, 704],
-    [627, 705, 717],
-    [564, 705, 717],
-    [465, 627, 717],
-    [447, 627, 705],
-    [622, 710, 711],
-    [571, 710, 711],
-    [453, 622, 711],
-    [452, 622, 710],
-    [623, 712, 713],
-    [572, 712, 713],
-    [455, 623, 713],
-    [454, 623, 712],
-    [628, 706, 718],
-    [565, 706, 718],
-    [470, 628, 718],
-    [448, 628, 706],
-    [629, 707, 719],
-    [566, 707, 719],
-    [473, 629, 719],
-    [449, 629, 707],
-    [630, 720, 732],
-    [573, 720, 732],
-    [480, 630, 732],
-    [456, 630, 720],
-    [631, 721, 733],
-    [574, 721, 733],
-    [481, 631, 733],
-    [459, 631, 721],
-    [636, 726, 727],
-    [567, 726, 727],
-    [475, 636, 727],
-    [474, 636, 726],
-    [637, 728, 729],
-    [568, 728, 729],
-    [477, 637, 729],
-    [476, 637, 728],
-    [632, 722, 734],
-    [575, 722, 734],
-    [482, 632, 734],
-    [464, 632, 722],
-    [634, 723, 735],
-    [576, 723, 735],
-    [483, 634, 735],
-    [467, 634, 723],
-    [633, 724, 736],
-    [577, 724, 736],
-    [484, 633, 736],
-    [468, 633, 724],
-    [635, 725, 737],
-    [578, 725, 737],
-    [485, 635, 737],
-    [471, 635, 725],
-    [638, 730, 731],
-    [569, 730, 731],
-    [479, 638, 731],
-    [478, 638, 730],
-    [639, 738, 744],
-    [579, 738, 744],
-    [495, 639, 744],
-    [486, 639, 738],
-    [640, 739, 745],
-    [580, 739, 745],
-    [496, 640, 745],
-    [487, 640, 739],
-    [643, 740, 746],
-    [581, 740, 746],
-    [497, 643, 746],
-    [490, 643, 740],
-    [644, 741, 747],
-    [582, 741, 747],
-    [498, 644, 747],
-    [491, 644, 741],
-    [645, 742, 748],
-    [583, 742, 748],
-    [499, 645, 748],
-    [492, 645, 742],
-    [646, 743, 749],
-    [584, 743, 749],
-    [500, 646, 749],
-    [493, 646, 743],
-    [641, 750, 751],
-    [585, 750, 751],
-    [504, 641, 751],
-    [502, 641, 750],
-    [642, 752, 753],
-    [586, 752, 753],
-    [507, 642, 753],
-    [505, 642, 752],
-    [647, 754, 755],
-    [587, 754, 755],
-    [512, 647, 755],
-    [510, 647, 754],
-    [648, 756, 762],
-    [588, 756, 762],
-    [519, 648, 762],
-    [513, 648, 756],
-    [649, 758, 763],
-    [590, 758, 763],
-    [520, 649, 763],
-    [515, 649, 758],
-    [650, 757, 764],
-    [589, 757, 764],
-    [521, 650, 764],
-    [514, 650, 757],
-    [651, 759, 765],
-    [591, 759, 765],
-    [522, 651, 765],
-    [516, 651, 759],
-    [652, 760, 766],
-    [592, 760, 766],
-    [523, 652, 766],
-    [517, 652, 760],
-    [653, 761, 767],
-    [593, 761, 767],
-    [524, 653, 767],
-    [518, 653, 761],
-    [654, 768, 774],
-    [594, 768, 774],
-    [532, 654, 774],
-    [525, 654, 768],
-    [655, 769, 776],
-    [596, 769, 776],
-    [534, 655, 776],
-    [526, 655, 769],
-    [656, 770, 775],
-    [595, 770, 775],
-    [533, 656, 775],
-    [527, 656, 770],
-    [657, 771, 777],
-    [597, 771, 777],
-    [535, 657, 777],
-    [528, 657, 771],
-    [658, 772, 778],
-    [598, 772, 778],
-    [538, 658, 778],
-    [529, 658, 772],
-    [659, 773, 779],
-    [599, 773, 779],
-    [539, 659, 779],
-    [530, 659, 773],
-    [1320, 1321, 1322],
-    [1203, 1205, 1322, 1321],
-    [1202, 1204, 1322, 1320],
-    [967, 968, 1205, 1322, 1204],
-    [1200, 1201, 1321, 1320],
-    [963, 964, 1203, 1321, 1201],
-    [961, 962, 1202, 1320, 1200],
-    [966, 1203, 1205],
-    [845, 966, 1205, 968],
-    [965, 1202, 1204],
-    [844, 965, 1204, 967],
-    [843, 964, 1203, 966],
-    [842, 962, 1202, 965],
-    [960, 1200, 1201],
-    [841, 960, 1201, 963],
-    [840, 960, 1200, 961],
-    [784, 785, 968, 967],
-    [785, 845, 968],
-    [784, 844, 967],
-    [664, 665, 845, 966, 843],
-    [662, 663, 844, 965, 842],
-    [782, 783, 964, 963],
-    [783, 843, 964],
-    [782, 841, 963],
-    [780, 781, 962, 961],
-    [781, 842, 962],
-    [780, 840, 961],
-    [660, 661, 841, 960, 840],
-    [605, 665, 845, 785],
-    [604, 663, 844, 784],
-    [603, 664, 843, 783],
-    [602, 662, 842, 781],
-    [601, 661, 841, 782],
-    [600, 660, 840, 780],
-    [398, 604, 784, 785, 605],
-    [393, 601, 782, 783, 603],
-    [392, 600, 780, 781, 602],
-    [1335, 1344, 1345],
-    [1218, 1219, 1345, 1344],
-    [1207, 1213, 1345, 1335],
-    [983, 992, 1219, 1345, 1213],
-    [1206, 1212, 1344, 1335],
-    [981, 989, 1218, 1344, 1212],
-    [969, 970, 1207, 1335, 1206],
-    [1005, 1218, 1219],
-    [871, 992, 1219, 1005],
-    [870, 989, 1218, 1005],
-    [977, 1207, 1213],
-    [854, 977, 1213, 983],
-    [975, 1206, 1212],
-    [852, 975, 1212, 981],
-    [848, 970, 1207, 977],
-    [846, 969, 1206, 975],
-    [690, 691, 871, 1005, 870],
-    [788, 793, 992, 983],
-    [793, 871, 992],
-    [786, 792, 989, 981],
-    [792, 870, 989],
-    [788, 854, 983],
-    [786, 852, 981],
-    [668, 674, 854, 977, 848],
-    [666, 672, 852, 975, 846],
-    [780, 781, 970, 969],
-    [781, 848, 970],
-    [780, 846, 969],
-    [614, 691, 871, 793],
-    [613, 690, 870, 792],
-    [608, 674, 854, 788],
-    [606, 672, 852, 786],
-    [602, 668, 848, 781],
-    [600, 666, 846, 780],
-    [421, 608, 788, 793, 614],
-    [418, 606, 786, 792, 613],
-    [1336, 1346, 1347],
-    [1220, 1221, 1347, 1346],
-    [1209, 1215, 1347, 1336],
-    [984, 996, 1221, 1347, 1215],
-    [1208, 1214, 1346, 1336],
-    [982, 993, 1220, 1346, 1214],
-    [971, 972, 1209, 1336, 1208],
-    [1006, 1220, 1221],
-    [873, 996, 1221, 1006],
-    [872, 993, 1220, 1006],
-    [978, 1209, 1215],
-    [855, 978, 1215, 984],
-    [976, 1208, 1214],
-    [853, 976, 1214, 982],
-    [849, 972, 1209, 978],
-    [847, 971, 1208, 976],
-    [692, 693, 873, 1006, 872],
-    [789, 795, 996, 984],
-    [795, 873, 996],
-    [787, 794, 993, 982],
-    [794, 872, 993],
-    [789, 855, 984],
-    [787, 853, 982],
-    [669, 675, 855, 978, 849],
-    [667, 673, 853, 976, 847],
-    [782, 783, 972, 971],
-    [783, 849, 972],
-    [782, 847, 971],
-    [616, 693, 873, 795],
-    [615, 692, 872, 794],
-    [609, 675, 855, 789],
-    [607, 673, 853, 787],
-    [603, 669, 849, 783],
-    [601, 667, 847, 782],
-    [423, 609, 789, 795, 616],
-    [420, 607, 787, 794, 615],
-    [1337, 1348, 1349],
-    [1222, 1223, 1349, 1348],
-    [1211, 1217, 1349, 1337],
-    [986, 1004, 1223, 1349, 1217],
-    [1210, 1216, 1348, 1337],
-    [985, 1001, 1222, 1348, 1216],
-    [973, 974, 1211, 1337, 1210],
-    [1007, 1222, 1223],
-    [875, 1004, 1223, 1007],
-    [874, 1001, 1222, 1007],
-    [980, 1211, 1217],
-    [857, 980, 1217, 986],
-    [979, 1210, 1216],
-    [856, 979, 1216, 985],
-    [851, 974, 1211, 980],
-    [850, 973, 1210, 979],
-    [694, 695, 875, 1007, 874],
-    [791, 797, 1004, 986],
-    [797, 875, 1004],
-    [790, 796, 1001, 985],
-    [796, 874, 1001],
-    [791, 857, 986],
-    [790, 856, 985],
-    [671, 677, 857, 980, 851],
-    [670, 676, 856, 979, 850],
-    [784, 785, 974, 973],
-    [785, 851, 974],
-    [784, 850, 973],
-    [620, 695, 875, 797],
-    [619, 694, 874, 796],
-    [611, 677, 857, 791],
-    [610, 676, 856, 790],
-    [605, 671, 851, 785],
-    [604, 670, 850, 784],
-    [428, 611, 791, 797, 620],
-    [426, 610, 790, 796, 619],
-    [1368, 1374, 1386],
-    [1242, 1254, 1386, 1374],
-    [1236, 1243, 1386, 1368],
-    [1033, 1044, 1254, 1386, 1243],
-    [1224, 1230, 1374, 1368],
-    [1014, 1020, 1242, 1374, 1230],
-    [988, 1008, 1236, 1368, 1224],
-    [1032, 1242, 1254],
-    [894, 1032, 1254, 1044],
-    [1021, 1236, 1243],
-    [883, 1021, 1243, 1033],
-    [882, 1020, 1242, 1032],
-    [876, 1008, 1236, 1021],
-    [987, 1224, 1230],
-    [864, 987, 1230, 1014],
-    [858, 987, 1224, 988],
-    [804, 810, 1044, 1033],
-    [810, 894, 1044],
-    [804, 883, 1033],
-    [708, 720, 894, 1032, 882],
-    [696, 702, 883, 1021, 876],
-    [798, 801, 1020, 1014],
-    [801, 882, 1020],
-    [798, 864, 1014],
-    [786, 792, 1008, 988],
-    [792, 876, 1008],
-    [786, 858, 988],
-    [678, 684, 864, 987, 858],
-    [630, 720, 894, 810],
-    [624, 702, 883, 804],
-    [621, 708, 882, 801],
-    [613, 696, 876, 792],
-    [612, 684, 864, 798],
-    [606, 678, 858, 786],
-    [457, 624, 804, 810, 630],
-    [435, 612, 798, 801, 621],
-    [1369, 1376, 1387],
-    [1244, 1255, 1387, 1376],
-    [1237, 1245, 1387, 1369],
-    [1035, 1045, 1255, 1387, 1245],
-    [1225, 1231, 1376, 1369],
-    [1015, 1022, 1244, 1376, 1231],
-    [991, 1009, 1237, 1369, 1225],
-    [1034, 1244, 1255],
-    [896, 1034, 1255, 1045],
-    [1024, 1237, 1245],
-    [886, 1024, 1245, 1035],
-    [884, 1022, 1244, 1034],
-    [878, 1009, 1237, 1024],
-    [990, 1225, 1231],
-    [865, 990, 1231, 1015],
-    [859, 990, 1225, 991],
-    [805, 811, 1045, 1035],
-    [811, 896, 1045],
-    [805, 886, 1035],
-    [709, 721, 896, 1034, 884],
-    [698, 704, 886, 1024, 878],
-    [798, 801, 1022, 1015],
-    [801, 884, 1022],
-    [798, 865, 1015],
-    [787, 794, 1009, 991],
-    [794, 878, 1009],
-    [787, 859, 991],
-    [679, 685, 865, 990, 859],
-    [631, 721, 896, 811],
-    [625, 704, 886, 805],
-    [621, 709, 884, 801],
-    [615, 698, 878, 794],
-    [612, 685, 865, 798],
-    [607, 679, 859, 787],
-    [460, 625, 805, 811, 631],
-    [1370, 1379, 1388],
-    [1247, 1256, 1388, 1379],
-    [1238, 1246, 1388, 1370],
-    [1036, 1046, 1256, 1388, 1246],
-    [1226, 1232, 1379, 1370],
-    [1016, 1025, 1247, 1379, 1232],
-    [994, 1010, 1238, 1370, 1226],
-    [1037, 1247, 1256],
-    [899, 1037, 1256, 1046],
-    [887, 1025, 1247, 1037],
-    [1023, 1238, 1246],
-    [885, 1023, 1246, 1036],
-    [877, 1010, 1238, 1023],
-    [995, 1226, 1232],
-    [866, 995, 1232, 1016],
-    [860, 994, 1226, 995],
-    [806, 812, 1046, 1036],
-    [812, 899, 1046],
-    [710, 722, 899, 1037, 887],
-    [806, 885, 1036],
-    [799, 802, 1025, 1016],
-    [802, 887, 1025],
-    [697, 703, 885, 1023, 877],
-    [799, 866, 1016],
-    [788, 793, 1010, 994],
-    [793, 877, 1010],
-    [680, 686, 866, 995, 860],
-    [788, 860, 994],
-    [632, 722, 899, 812],
-    [622, 710, 887, 802],
-    [626, 703, 885, 806],
-    [614, 697, 877, 793],
-    [617, 686, 866, 799],
-    [608, 680, 860, 788],
-    [463, 626, 806, 812, 632],
-    [440, 617, 799, 802, 622],
-    [1371, 1382, 1389],
-    [1250, 1258, 1389, 1382],
-    [1239, 1248, 1389, 1371],
-    [1038, 1047, 1258, 1389, 1248],
-    [1227, 1234, 1382, 1371],
-    [1018, 1028, 1250, 1382, 1234],
-    [997, 1011, 1239, 1371, 1227],
-    [1040, 1250, 1258],
-    [902, 1040, 1258, 1047],
-    [890, 1028, 1250, 1040],
-    [1026, 1239, 1248],
-    [888, 1026, 1248, 1038],
-    [879, 1011, 1239, 1026],
-    [999, 1227, 1234],
-    [868, 999, 1234, 1018],
-    [861, 997, 1227, 999],
-    [807, 813, 1047, 1038],
-    [813, 902, 1047],
-    [712, 724, 902, 1040, 890],
-    [807, 888, 1038],
-    [800, 803, 1028, 1018],
-    [803, 890, 1028],
-    [699, 705, 888, 1026, 879],
-    [800, 868, 1018],
-    [789, 795, 1011, 997],
-    [795, 879, 1011],
-    [682, 688, 868, 999, 861],
-    [789, 861, 997],
-    [633, 724, 902, 813],
-    [623, 712, 890, 803],
-    [627, 705, 888, 807],
-    [616, 699, 879, 795],
-    [618, 688, 868, 800],
-    [609, 682, 861, 789],
-    [466, 627, 807, 813, 633],
-    [441, 618, 800, 803, 623],
-    [1372, 1381, 1390],
-    [1249, 1257, 1390, 1381],
-    [1240, 1251, 1390, 1372],
-    [1041, 1048, 1257, 1390, 1251],
-    [1228, 1233, 1381, 1372],
-    [1017, 1027, 1249, 1381, 1233],
-    [1000, 1012, 1240, 1372, 1228],
-    [1039, 1249, 1257],
-    [901, 1039, 1257, 1048],
-    [1029, 1240, 1251],
-    [891, 1029, 1251, 1041],
-    [889, 1027, 1249, 1039],
-    [880, 1012, 1240, 1029],
-    [998, 1228, 1233],
-    [867, 998, 1233, 1017],
-    [862, 998, 1228, 1000],
-    [808, 814, 1048, 1041],
-    [814, 901, 1048],
-    [808, 891, 1041],
-    [711, 723, 901, 1039, 889],
-    [700, 706, 891, 1029, 880],
-    [799, 802, 1027, 1017],
-    [802, 889, 1027],
-    [799, 867, 1017],
-    [790, 796, 1012, 1000],
-    [796, 880, 1012],
-    [790, 862, 1000],
-    [681, 687, 867, 998, 862],
-    [634, 723, 901, 814],
-    [628, 706, 891, 808],
-    [622, 711, 889, 802],
-    [619, 700, 880, 796],
-    [617, 687, 867, 799],
-    [610, 681, 862, 790],
-    [469, 628, 808, 814, 634],
-    [1373, 1384, 1391],
-    [1252, 1259, 1391, 1384],
-    [1241, 1253, 1391, 1373],
-    [1043, 1049, 1259, 1391, 1253],
-    [1229, 1235, 1384, 1373],
-    [1019, 1030, 1252, 1384, 1235],
-    [1003, 1013, 1241, 1373, 1229],
-    [1042, 1252, 1259],
-    [904, 1042, 1259, 1049],
-    [1031, 1241, 1253],
-    [893, 1031, 1253, 1043],
-    [892, 1030, 1252, 1042],
-    [881, 1013, 1241, 1031],
-    [1002, 1229, 1235],
-    [869, 1002, 1235, 1019],
-    [863, 1002, 1229, 1003],
-    [809, 815, 1049, 1043],
-    [815, 904, 1049],
-    [809, 893, 1043],
-    [713, 725, 904, 1042, 892],
-    [701, 707, 893, 1031, 881],
-    [800, 803, 1030, 1019],
-    [803, 892, 1030],
-    [800, 869, 1019],
-    [791, 797, 1013, 1003],
-    [797, 881, 1013],
-    [791, 863, 1003],
-    [683, 689, 869, 1002, 863],
-    [635, 725, 904, 815],
-    [629, 707, 893, 809],
-    [623, 713, 892, 803],
-    [620, 701, 881, 797],
-    [618, 689, 869, 800],
-    [611, 683, 863, 791],
-    [472, 629, 809, 815, 635],
-    [1428, 1435, 1446],
-    [1284, 1290, 1446, 1435],
-    [1266, 1278, 1446, 1428],
-    [1086, 1096, 1290, 1446, 1278],
-    [1260, 1267, 1435, 1428],
-    [1069, 1080, 1284, 1435, 1267],
-    [1050, 1056, 1266, 1428, 1260],
-    [1097, 1284, 1290],
-    [936, 1096, 1290, 1097],
-    [930, 1080, 1284, 1097],
-    [1068, 1266, 1278],
-    [918, 1068, 1278, 1086],
-    [1057, 1260, 1267],
-    [907, 1057, 1267, 1069],
-    [906, 1056, 1266, 1068],
-    [895, 1050, 1260, 1057],
-    [750, 756, 936, 1097, 930],
-    [822, 828, 1096, 1086],
-    [828, 936, 1096],
-    [822, 918, 1086],
-    [816, 819, 1080, 1069],
-    [819, 930, 1080],
-    [816, 907, 1069],
-    [732, 738, 918, 1068, 906],
-    [714, 726, 907, 1057, 895],
-    [804, 810, 1056, 1050],
-    [810, 906, 1056],
-    [804, 895, 1050],
-    [648, 756, 936, 828],
-    [641, 750, 930, 819],
-    [639, 738, 918, 822],
-    [636, 726, 907, 816],
-    [630, 732, 906, 810],
-    [624, 714, 895, 804],
-    [501, 639, 822, 828, 648],
-    [488, 636, 816, 819, 641],
-    [1429, 1438, 1447],
-    [1286, 1291, 1447, 1438],
-    [1268, 1279, 1447, 1429],
-    [1087, 1099, 1291, 1447, 1279],
-    [1262, 1270, 1438, 1429],
-    [1072, 1082, 1286, 1438, 1270],
-    [1051, 1058, 1268, 1429, 1262],
-    [1101, 1286, 1291],
-    [937, 1099, 1291, 1101],
-    [932, 1082, 1286, 1101],
-    [1070, 1268, 1279],
-    [919, 1070, 1279, 1087],
-    [1060, 1262, 1270],
-    [910, 1060, 1270, 1072],
-    [908, 1058, 1268, 1070],
-    [898, 1051, 1262, 1060],
-    [752, 758, 937, 1101, 932],
-    [823, 829, 1099, 1087],
-    [829, 937, 1099],
-    [823, 919, 1087],
-    [817, 820, 1082, 1072],
-    [820, 932, 1082],
-    [817, 910, 1072],
-    [733, 739, 919, 1070, 908],
-    [716, 728, 910, 1060, 898],
-    [805, 811, 1058, 1051],
-    [811, 908, 1058],
-    [805, 898, 1051],
-    [649, 758, 937, 829],
-    [642, 752, 932, 820],
-    [640, 739, 919, 823],
-    [637, 728, 910, 817],
-    [631, 733, 908, 811],
-    [625, 716, 898, 805],
-    [503, 640, 823, 829, 649],
-    [489, 637, 817, 820, 642],
-    [1430, 1437, 1448],
-    [1285, 1292, 1448, 1437],
-    [1271, 1280, 1448, 1430],
-    [1088, 1102, 1292, 1448, 1280],
-    [1261, 1269, 1437, 1430],
-    [1071, 1081, 1285, 1437, 1269],
-    [1052, 1061, 1271, 1430, 1261],
-    [1100, 1285, 1292],
-    [938, 1100, 1292, 1102],
-    [931, 1081, 1285, 1100],
-    [1073, 1271, 1280],
-    [920, 1073, 1280, 1088],
-    [911, 1061, 1271, 1073],
-    [1059, 1261, 1269],
-    [909, 1059, 1269, 1071],
-    [897, 1052, 1261, 1059],
-    [824, 830, 1102, 1088],
-    [830, 938, 1102],
-    [751, 757, 938, 1100, 931],
-    [824, 920, 1088],
-    [816, 819, 1081, 1071],
-    [819, 931, 1081],
-    [734, 740, 920, 1073, 911],
-    [816, 909, 1071],
-    [806, 812, 1061, 1052],
-    [812, 911, 1061],
-    [715, 727, 909, 1059, 897],
-    [806, 897, 1052],
-    [650, 757, 938, 830],
-    [641, 751, 931, 819],
-    [643, 740, 920, 824],
-    [632, 734, 911, 812],
-    [636, 727, 909, 816],
-    [626, 715, 897, 806],
-    [506, 643, 824, 830, 650],
-    [1431, 1440, 1449],
-    [1287, 1293, 1449, 1440],
-    [1273, 1281, 1449, 1431],
-    [1089, 1105, 1293, 1449, 1281],
-    [1263, 1272, 1440, 1431],
-    [1074, 1083, 1287, 1440, 1272],
-    [1053, 1063, 1273, 1431, 1263],
-    [1104, 1287, 1293],
-    [939, 1104, 1293, 1105],
-    [933, 1083, 1287, 1104],
-    [1076, 1273, 1281],
-    [922, 1076, 1281, 1089],
-    [914, 1063, 1273, 1076],
-    [1062, 1263, 1272],
-    [912, 1062, 1272, 1074],
-    [900, 1053, 1263, 1062],
-    [826, 831, 1105, 1089],
-    [831, 939, 1105],
-    [753, 759, 939, 1104, 933],
-    [826, 922, 1089],
-    [817, 820, 1083, 1074],
-    [820, 933, 1083],
-    [736, 742, 922, 1076, 914],
-    [817, 912, 1074],
-    [807, 813, 1063, 1053],
-    [813, 914, 1063],
-    [717, 729, 912, 1062, 900],
-    [807, 900, 1053],
-    [651, 759, 939, 831],
-    [642, 753, 933, 820],
-    [645, 742, 922, 826],
-    [633, 736, 914, 813],
-    [637, 729, 912, 817],
-    [627, 717, 900, 807],
-    [508, 645, 826, 831, 651],
-    [1432, 1443, 1450],
-    [1288, 1294, 1450, 1443],
-    [1274, 1282, 1450, 1432],
-    [1090, 1108, 1294, 1450, 1282],
-    [1264, 1275, 1443, 1432],
-    [1077, 1084, 1288, 1443, 1275],
-    [1054, 1064, 1274, 1432, 1264],
-    [1109, 1288, 1294],
-    [940, 1108, 1294, 1109],
-    [934, 1084, 1288, 1109],
-    [1075, 1274, 1282],
-    [921, 1075, 1282, 1090],
-    [1065, 1264, 1275],
-    [915, 1065, 1275, 1077],
-    [913, 1064, 1274, 1075],
-    [903, 1054, 1264, 1065],
-    [754, 760, 940, 1109, 934],
-    [825, 832, 1108, 1090],
-    [832, 940, 1108],
-    [825, 921, 1090],
-    [818, 821, 1084, 1077],
-    [821, 934, 1084],
-    [818, 915, 1077],
-    [735, 741, 921, 1075, 913],
-    [718, 730, 915, 1065, 903],
-    [808, 814, 1064, 1054],
-    [814, 913, 1064],
-    [808, 903, 1054],
-    [652, 760, 940, 832],
-    [647, 754, 934, 821],
-    [644, 741, 921, 825],
-    [638, 730, 915, 818],
-    [634, 735, 913, 814],
-    [628, 718, 903, 808],
-    [509, 644, 825, 832, 652],
-    [494, 638, 818, 821, 647],
-    [1433, 1445, 1451],
-    [1289, 1295, 1451, 1445],
-    [1276, 1283, 1451, 1433],
-    [1091, 1111, 1295, 1451, 1283],
-    [1265, 1277, 1445, 1433],
-    [1079, 1085, 1289, 1445, 1277],
-    [1055, 1066, 1276, 1433, 1265],
-    [1112, 1289, 1295],
-    [941, 1111, 1295, 1112],
-    [935, 1085, 1289, 1112],
-    [1078, 1276, 1283],
-    [923, 1078, 1283, 1091],
-    [1067, 1265, 1277],
-    [917, 1067, 1277, 1079],
-    [916, 1066, 1276, 1078],
-    [905, 1055, 1265, 1067],
-    [755, 761, 941, 1112, 935],
-    [827, 833, 1111, 1091],
-    [833, 941, 1111],
-    [827, 923, 1091],
-    [818, 821, 1085, 1079],
-    [821, 935, 1085],
-    [818, 917, 1079],
-    [737, 743, 923, 1078, 916],
-    [719, 731, 917, 1067, 905],
-    [809, 815, 1066, 1055],
-    [815, 916, 1066],
-    [809, 905, 1055],
-    [653, 761, 941, 833],
-    [647, 755, 935, 821],
-    [646, 743, 923, 827],
-    [638, 731, 917, 818],
-    [635, 737, 916, 815],
-    [629, 719, 905, 809],
-    [511, 646, 827, 833, 653],
-    [1470, 1471, 1482],
-    [1303, 1309, 1482, 1471],
-    [1302, 1308, 1482, 1470],
-    [1125, 1126, 1309, 1482, 1308],
-    [1296, 1297, 1471, 1470],
-    [1098, 1114, 1303, 1471, 1297],
-    [1095, 1113, 1302, 1470, 1296],
-    [1120, 1303, 1309],
-    [949, 1120, 1309, 1126],
-    [1119, 1302, 1308],
-    [948, 1119, 1308, 1125],
-    [943, 1114, 1303, 1120],
-    [942, 1113, 1302, 1119],
-    [1092, 1296, 1297],
-    [925, 1092, 1297, 1098],
-    [924, 1092, 1296, 1095],
-    [834, 835, 1126, 1125],
-    [835, 949, 1126],
-    [834, 948, 1125],
-    [763, 769, 949, 1120, 943],
-    [762, 768, 948, 1119, 942],
-    [823, 829, 1114, 1098],
-    [829, 943, 1114],
-    [822, 828, 1113, 1095],
-    [828, 942, 1113],
-    [823, 925, 1098],
-    [822, 924, 1095],
-    [744, 745, 925, 1092, 924],
-    [655, 769, 949, 835],
-    [654, 768, 948, 834],
-    [649, 763, 943, 829],
-    [648, 762, 942, 828],
-    [640, 745, 925, 823],
-    [639, 744, 924, 822],
-    [531, 654, 834, 835, 655],
-    [1472, 1473, 1483],
-    [1305, 1311, 1483, 1473],
-    [1304, 1310, 1483, 1472],
-    [1127, 1128, 1311, 1483, 1310],
-    [1298, 1299, 1473, 1472],
-    [1106, 1117, 1305, 1473, 1299],
-    [1103, 1115, 1304, 1472, 1298],
-    [1123, 1305, 1311],
-    [952, 1123, 1311, 1128],
-    [1121, 1304, 1310],
-    [950, 1121, 1310, 1127],
-    [946, 1117, 1305, 1123],
-    [944, 1115, 1304, 1121],
-    [1093, 1298, 1299],
-    [927, 1093, 1299, 1106],
-    [926, 1093, 1298, 1103],
-    [836, 837, 1128, 1127],
-    [837, 952, 1128],
-    [836, 950, 1127],
-    [766, 772, 952, 1123, 946],
-    [764, 770, 950, 1121, 944],
-    [825, 832, 1117, 1106],
-    [832, 946, 1117],
-    [824, 830, 1115, 1103],
-    [830, 944, 1115],
-    [825, 927, 1106],
-    [824, 926, 1103],
-    [746, 747, 927, 1093, 926],
-    [658, 772, 952, 837],
-    [656, 770, 950, 836],
-    [652, 766, 946, 832],
-    [650, 764, 944, 830],
-    [644, 747, 927, 825],
-    [643, 746, 926, 824],
-    [536, 656, 836, 837, 658],
-    [1474, 1475, 1484],
-    [1307, 1313, 1484, 1475],
-    [1306, 1312, 1484, 1474],
-    [1129, 1130, 1313, 1484, 1312],
-    [1300, 1301, 1475, 1474],
-    [1110, 1118, 1307, 1475, 1301],
-    [1107, 1116, 1306, 1474, 1300],
-    [1124, 1307, 1313],
-    [953, 1124, 1313, 1130],
-    [1122, 1306, 1312],
-    [951, 1122, 1312, 1129],
-    [947, 1118, 1307, 1124],
-    [945, 1116, 1306, 1122],
-    [1094, 1300, 1301],
-    [929, 1094, 1301, 1110],
-    [928, 1094, 1300, 1107],
-    [838, 839, 1130, 1129],
-    [839, 953, 1130],
-    [838, 951, 1129],
-    [767, 773, 953, 1124, 947],
-    [765, 771, 951, 1122, 945],
-    [827, 833, 1118, 1110],
-    [833, 947, 1118],
-    [826, 831, 1116, 1107],
-    [831, 945, 1116],
-    [827, 929, 1110],
-    [826, 928, 1107],
-    [748, 749, 929, 1094, 928],
-    [659, 773, 953, 839],
-    [657, 771, 951, 838],
-    [653, 767, 947, 833],
-    [651, 765, 945, 831],
-    [646, 749, 929, 827],
-    [645, 748, 928, 826],
-    [537, 657, 838, 839, 659],
-    [1497, 1498, 1499],
-    [1318, 1319, 1499, 1498],
-    [1315, 1317, 1499, 1497],
-    [1137, 1138, 1319, 1499, 1317],
-    [1314, 1316, 1498, 1497],
-    [1135, 1136, 1318, 1498, 1316],
-    [1131, 1132, 1315, 1497, 1314],
-    [1139, 1318, 1319],
-    [959, 1138, 1319, 1139],
-    [958, 1136, 1318, 1139],
-    [1134, 1315, 1317],
-    [957, 1134, 1317, 1137],
-    [1133, 1314, 1316],
-    [956, 1133, 1316, 1135],
-    [955, 1132, 1315, 1134],
-    [954, 1131, 1314, 1133],
-    [778, 779, 959, 1139, 958],
-    [838, 839, 1138, 1137],
-    [839, 959, 1138],
-    [838, 957, 1137],
-    [836, 837, 1136, 1135],
-    [837, 958, 1136],
-    [836, 956, 1135],
-    [776, 777, 957, 1134, 955],
-    [774, 775, 956, 1133, 954],
-    [834, 835, 1132, 1131],
-    [835, 955, 1132],
-    [834, 954, 1131],
-    [659, 779, 959, 839],
-    [658, 778, 958, 837],
-    [657, 777, 957, 838],
-    [656, 775, 956, 836],
-    [655, 776, 955, 835],
-    [654, 774, 954, 834],
-    [660, 666, 846, 840],
-    [780, 840, 846],
-    [661, 667, 847, 841],
-    [782, 841, 847],
-    [662, 668, 848, 842],
-    [781, 842, 848],
-    [664, 669, 849, 843],
-    [783, 843, 849],
-    [663, 670, 850, 844],
-    [784, 844, 850],
-    [665, 671, 851, 845],
-    [785, 845, 851],
-    [672, 678, 858, 852],
-    [786, 852, 858],
-    [673, 679, 859, 853],
-    [787, 853, 859],
-    [788, 854, 860],
-    [674, 680, 860, 854],
-    [675, 682, 861, 855],
-    [789, 855, 861],
-    [676, 681, 862, 856],
-    [790, 856, 862],
-    [677, 683, 863, 857],
-    [791, 857, 863],
-    [684, 685, 865, 864],
-    [798, 864, 865],
-    [686, 687, 867, 866],
-    [799, 866, 867],
-    [688, 689, 869, 868],
-    [800, 868, 869],
-    [690, 696, 876, 870],
-    [792, 870, 876],
-    [793, 871, 877],
-    [691, 697, 877, 871],
-    [692, 698, 878, 872],
-    [794, 872, 878],
-    [693, 699, 879, 873],
-    [795, 873, 879],
-    [694, 700, 880, 874],
-    [796, 874, 880],
-    [695, 701, 881, 875],
-    [797, 875, 881],
-    [708, 709, 884, 882],
-    [801, 882, 884],
-    [710, 711, 889, 887],
-    [802, 887, 889],
-    [712, 713, 892, 890],
-    [803, 890, 892],
-    [702, 714, 895, 883],
-    [804, 883, 895],
-    [703, 715, 897, 885],
-    [806, 885, 897],
-    [704, 716, 898, 886],
-    [805, 886, 898],
-    [705, 717, 900, 888],
-    [807, 888, 900],
-    [706, 718, 903, 891],
-    [808, 891, 903],
-    [707, 719, 905, 893],
-    [809, 893, 905],
-    [720, 732, 906, 894],
-    [810, 894, 906],
-    [721, 733, 908, 896],
-    [811, 896, 908],
-    [722, 734, 911, 899],
-    [812, 899, 911],
-    [723, 735, 913, 901],
-    [814, 901, 913],
-    [724, 736, 914, 902],
-    [813, 902, 914],
-    [725, 737, 916, 904],
-    [815, 904, 916],
-    [726, 727, 909, 907],
-    [816, 907, 909],
-    [728, 729, 912, 910],
-    [817, 910, 912],
-    [730, 731, 917, 915],
-    [818, 915, 917],
-    [738, 744, 924, 918],
-    [822, 918, 924],
-    [739, 745, 925, 919],
-    [823, 919, 925],
-    [740, 746, 926, 920],
-    [824, 920, 926],
-    [741, 747, 927, 921],
-    [825, 921, 927],
-    [826, 922, 928],
-    [742, 748, 928, 922],
-    [743, 749, 929, 923],
-    [827, 923, 929],
-    [750, 751, 931, 930],
-    [819, 930, 931],
-    [752, 753, 933, 932],
-    [820, 932, 933],
-    [754, 755, 935, 934],
-    [821, 934, 935],
-    [756, 762, 942, 936],
-    [828, 936, 942],
-    [758, 763, 943, 937],
-    [829, 937, 943],
-    [757, 764, 944, 938],
-    [830, 938, 944],
-    [831, 939, 945],
-    [759, 765, 945, 939],
-    [760, 766, 946, 940],
-    [832, 940, 946],
-    [761, 767, 947, 941],
-    [833, 941, 947],
-    [768, 774, 954, 948],
-    [834, 948, 954],
-    [769, 776, 955, 949],
-    [835, 949, 955],
-    [770, 775, 956, 950],
-    [836, 950, 956],
-    [771, 777, 957, 951],
-    [838, 951, 957],
-    [772, 778, 958, 952],
-    [837, 952, 958],
-    [773, 779, 959, 953],
-    [839, 953, 959],
-    [780, 961, 969],
-    [781, 962, 970],
-    [961, 962, 970, 969],
-    [782, 963, 971],
-    [783, 964, 972],
-    [963, 964, 972, 971],
-    [785, 968, 974],
-    [784, 967, 973],
-    [967, 968, 974, 973],
-    [786, 981, 988],
-    [792, 989, 1008],
-    [981, 988, 1008, 989],
-    [787, 982, 991],
-    [794, 993, 1009],
-    [982, 991, 1009, 993],
-    [788, 983, 994],
-    [793, 992, 1010],
-    [983, 992, 1010, 994],
-    [789, 984, 997],
-    [795, 996, 1011],
-    [984, 996, 1011, 997],
-    [796, 1001, 1012],
-    [790, 985, 1000],
-    [985, 1000, 1012, 1001],
-    [791, 986, 1003],
-    [797, 1004, 1013],
-    [986, 1003, 1013, 1004],
-    [798, 1014, 1015],
-    [801, 1020, 1022],
-    [1014, 1015, 1022, 1020],
-    [799, 1016, 1017],
-    [802, 1025, 1027],
-    [1016, 1017, 1027, 1025],
-    [800, 1018, 1019],
-    [803, 1028, 1030],
-    [1018, 1019, 1030, 1028],
-    [810, 1044, 1056],
-    [804, 1033, 1050],
-    [1033, 1044, 1056, 1050],
-    [811, 1045, 1058],
-    [805, 1035, 1051],
-    [1035, 1045, 1058, 1051],
-    [806, 1036, 1052],
-    [812, 1046, 1061],
-    [1036, 1046, 1061, 1052],
-    [813, 1047, 1063],
-    [807, 1038, 1053],
-    [1038, 1047, 1063, 1053],
-    [808, 1041, 1054],
-    [814, 1048, 1064],
-    [1041, 1048, 1064, 1054],
-    [809, 1043, 1055],
-    [815, 1049, 1066],
-    [1043, 1049, 1066, 1055],
-    [819, 1080, 1081],
-    [816, 1069, 1071],
-    [1069, 1071, 1081, 1080],
-    [820, 1082, 1083],
-    [817, 1072, 1074],
-    [1072, 1074, 1083, 1082],
-    [821, 1084, 1085],
-    [818, 1077, 1079],
-    [1077, 1079, 1085, 1084],
-    [822, 1086, 1095],
-    [828, 1096, 1113],
-    [1086, 1095, 1113, 1096],
-    [823, 1087, 1098],
-    [829, 1099, 1114],
-    [1087, 1098, 1114, 1099],
-    [830, 1102, 1115],
-    [824, 1088, 1103],
-    [1088, 1102, 1115, 1103],
-    [826, 1089, 1107],
-    [831, 1105, 1116],
-    [1089, 1105, 1116, 1107],
-    [832, 1108, 1117],
-    [825, 1090, 1106],
-    [1090, 1106, 1117, 1108],
-    [833, 1111, 1118],
-    [827, 1091, 1110],
-    [1091, 1110, 1118, 1111],
-    [834, 1125, 1131],
-    [835, 1126, 1132],
-    [1125, 1126, 1132, 1131],
-    [837, 1128, 1136],
-    [836, 1127, 1135],
-    [1127, 1128, 1136, 1135],
-    [839, 1130, 1138],
-    [838, 1129, 1137],
-    [1129, 1130, 1138, 1137],
-    [961, 969, 1140],
-    [846, 969, 1140],
-    [840, 961, 1140],
-    [840, 846, 1140],
-    [963, 971, 1141],
-    [847, 971, 1141],
-    [841, 963, 1141],
-    [841, 847, 1141],
-    [962, 970, 1142],
-    [848, 970, 1142],
-    [842, 962, 1142],
-    [842, 848, 1142],
-    [964, 972, 1143],
-    [849, 972, 1143],
-    [843, 964, 1143],
-    [843, 849, 1143],
-    [967, 973, 1144],
-    [850, 973, 1144],
-    [844, 967, 1144],
-    [844, 850, 1144],
-    [968, 974, 1145],
-    [851, 974, 1145],
-    [845, 968, 1145],
-    [845, 851, 1145],
-    [981, 988, 1146],
-    [858, 988, 1146],
-    [852, 981, 1146],
-    [852, 858, 1146],
-    [982, 991, 1147],
-    [859, 991, 1147],
-    [853, 982, 1147],
-    [853, 859, 1147],
-    [983, 994, 1148],
-    [860, 994, 1148],
-    [854, 983, 1148],
-    [854, 860, 1148],
-    [984, 997, 1149],
-    [861, 997, 1149],
-    [855, 984, 1149],
-    [855, 861, 1149],
-    [985, 1000, 1150],
-    [862, 1000, 1150],
-    [856, 985, 1150],
-    [856, 862, 1150],
-    [986, 1003, 1151],
-    [863, 1003, 1151],
-    [857, 986, 1151],
-    [857, 863, 1151],
-    [1014, 1015, 1152],
-    [865, 1015, 1152],
-    [864, 1014, 1152],
-    [864, 865, 1152],
-    [989, 1008, 1155],
-    [876, 1008, 1155],
-    [870, 989, 1155],
-    [870, 876, 1155],
-    [992, 1010, 1156],
-    [877, 1010, 1156],
-    [871, 992, 1156],
-    [871, 877, 1156],
-    [993, 1009, 1157],
-    [878, 1009, 1157],
-    [872, 993, 1157],
-    [872, 878, 1157],
-    [996, 1011, 1158],
-    [879, 1011, 1158],
-    [873, 996, 1158],
-    [873, 879, 1158],
-    [1016, 1017, 1153],
-    [867, 1017, 1153],
-    [866, 1016, 1153],
-    [866, 867, 1153],
-    [1018, 1019, 1154],
-    [869, 1019, 1154],
-    [868, 1018, 1154],
-    [868, 869, 1154],
-    [1001, 1012, 1159],
-    [880, 1012, 1159],
-    [874, 1001, 1159],
-    [874, 880, 1159],
-    [1004, 1013, 1160],
-    [881, 1013, 1160],
-    [875, 1004, 1160],
-    [875, 881, 1160],
-    [1020, 1022, 1161],
-    [884, 1022, 1161],
-    [882, 1020, 1161],
-    [882, 884, 1161],
-    [1025, 1027, 1162],
-    [889, 1027, 1162],
-    [887, 1025, 1162],
-    [887, 889, 1162],
-    [1028, 1030, 1163],
-    [892, 1030, 1163],
-    [890, 1028, 1163],
-    [890, 892, 1163],
-    [1033, 1050, 1164],
-    [895, 1050, 1164],
-    [883, 1033, 1164],
-    [883, 895, 1164],
-    [1035, 1051, 1166],
-    [898, 1051, 1166],
-    [886, 1035, 1166],
-    [886, 898, 1166],
-    [1036, 1052, 1165],
-    [897, 1052, 1165],
-    [885, 1036, 1165],
-    [885, 897, 1165],
-    [1038, 1053, 1167],
-    [900, 1053, 1167],
-    [888, 1038, 1167],
-    [888, 900, 1167],
-    [1041, 1054, 1168],
-    [903, 1054, 1168],
-    [891, 1041, 1168],
-    [891, 903, 1168],
-    [1043, 1055, 1169],
-    [905, 1055, 1169],
-    [893, 1043, 1169],
-    [893, 905, 1169],
-    [1044, 1056, 1170],
-    [906, 1056, 1170],
-    [894, 1044, 1170],
-    [894, 906, 1170],
-    [1045, 1058, 1171],
-    [908, 1058, 1171],
-    [896, 1045, 1171],
-    [896, 908, 1171],
-    [1046, 1061, 1172],
-    [911, 1061, 1172],
-    [899, 1046, 1172],
-    [899, 911, 1172],
-    [1047, 1063, 1174],
-    [914, 1063, 1174],
-    [902, 1047, 1174],
-    [902, 914, 1174],
-    [1048, 1064, 1173],
-    [913, 1064, 1173],
-    [901, 1048, 1173],
-    [901, 913, 1173],
-    [1049, 1066, 1175],
-    [916, 1066, 1175],
-    [904, 1049, 1175],
-    [904, 916, 1175],
-    [1069, 1071, 1176],
-    [909, 1071, 1176],
-    [907, 1069, 1176],
-    [907, 909, 1176],
-    [1072, 1074, 1177],
-    [912, 1074, 1177],
-    [910, 1072, 1177],
-    [910, 912, 1177],
-    [1077, 1079, 1178],
-    [917, 1079, 1178],
-    [915, 1077, 1178],
-    [915, 917, 1178],
-    [1086, 1095, 1179],
-    [924, 1095, 1179],
-    [918, 1086, 1179],
-    [918, 924, 1179],
-    [1087, 1098, 1180],
-    [925, 1098, 1180],
-    [919, 1087, 1180],
-    [919, 925, 1180],
-    [1080, 1081, 1185],
-    [931, 1081, 1185],
-    [930, 1080, 1185],
-    [930, 931, 1185],
-    [1082, 1083, 1186],
-    [933, 1083, 1186],
-    [932, 1082, 1186],
-    [932, 933, 1186],
-    [1088, 1103, 1181],
-    [926, 1103, 1181],
-    [920, 1088, 1181],
-    [920, 926, 1181],
-    [1090, 1106, 1182],
-    [927, 1106, 1182],
-    [921, 1090, 1182],
-    [921, 927, 1182],
-    [1089, 1107, 1183],
-    [928, 1107, 1183],
-    [922, 1089, 1183],
-    [922, 928, 1183],
-    [1091, 1110, 1184],
-    [929, 1110, 1184],
-    [923, 1091, 1184],
-    [923, 929, 1184],
-    [1084, 1085, 1187],
-    [935, 1085, 1187],
-    [934, 1084, 1187],
-    [934, 935, 1187],
-    [1096, 1113, 1188],
-    [942, 1113, 1188],
-    [936, 1096, 1188],
-    [936, 942, 1188],
-    [1099, 1114, 1189],
-    [943, 1114, 1189],
-    [937, 1099, 1189],
-    [937, 943, 1189],
-    [1102, 1115, 1190],
-    [944, 1115, 1190],
-    [938, 1102, 1190],
-    [938, 944, 1190],
-    [1105, 1116, 1191],
-    [945, 1116, 1191],
-    [939, 1105, 1191],
-    [939, 945, 1191],
-    [1108, 1117, 1192],
-    [946, 1117, 1192],
-    [940, 1108, 1192],
-    [940, 946, 1192],
-    [1111, 1118, 1193],
-    [947, 1118, 1193],
-    [941, 1111, 1193],
-    [941, 947, 1193],
-    [1125, 1131, 1194],
-    [954, 1131, 1194],
-    [948, 1125, 1194],
-    [948, 954, 1194],
-    [1126, 1132, 1195],
-    [955, 1132, 1195],
-    [949, 1126, 1195],
-    [949, 955, 1195],
-    [1127, 1135, 1196],
-    [956, 1135, 1196],
-    [950, 1127, 1196],
-    [950, 956, 1196],
-    [1129, 1137, 1197],
-    [957, 1137, 1197],
-    [951, 1129, 1197],
-    [951, 957, 1197],
-    [1128, 1136, 1198],
-    [958, 1136, 1198],
-    [952, 1128, 1198],
-    [952, 958, 1198],
-    [1130, 1138, 1199],
-    [959, 1138, 1199],
-    [953, 1130, 1199],
-    [953, 959, 1199],
-    [1743, 1746, 1758, 1759, 1748],
-    [1596, 1597, 1759, 1758],
-    [1577, 1588, 1759, 1748],
-    [1588, 1597, 1759],
-    [1575, 1587, 1758, 1746],
-    [1587, 1596, 1758],
-    [1564, 1570, 1748, 1743],
-    [1570, 1577, 1748],
-    [1563, 1569, 1746, 1743],
-    [1569, 1575, 1746],
-    [1563, 1564, 1743],
-    [1152, 1356, 1596, 1597, 1357],
-    [1351, 1357, 1597, 1588],
-    [1350, 1356, 1596, 1587],
-    [1147, 1339, 1577, 1588, 1351],
-    [1146, 1338, 1575, 1587, 1350],
-    [1330, 1339, 1577, 1570],
-    [1329, 1338, 1575, 1569],
-    [1141, 1324, 1564, 1570, 1330],
-    [1140, 1323, 1563, 1569, 1329],
-    [1323, 1324, 1564, 1563],
-    [990, 1351, 1357],
-    [865, 990, 1357, 1152],
-    [987, 1350, 1356],
-    [864, 987, 1356, 1152],
-    [859, 990, 1351, 1147],
-    [858, 987, 1350, 1146],
-    [976, 1330, 1339],
-    [853, 976, 1339, 1147],
-    [975, 1329, 1338],
-    [852, 975, 1338, 1146],
-    [847, 976, 1330, 1141],
-    [846, 975, 1329, 1140],
-    [960, 1323, 1324],
-    [841, 960, 1324, 1141],
-    [840, 960, 1323, 1140],
-    [1744, 1751, 1760, 1761, 1753],
-    [1598, 1599, 1761, 1760],
-    [1583, 1592, 1761, 1753],
-    [1592, 1599, 1761],
-    [1580, 1591, 1760, 1751],
-    [1591, 1598, 1760],
-    [1566, 1573, 1753, 1744],
-    [1573, 1583, 1753],
-    [1565, 1571, 1751, 1744],
-    [1571, 1580, 1751],
-    [1565, 1566, 1744],
-    [1153, 1358, 1598, 1599, 1359],
-    [1353, 1359, 1599, 1592],
-    [1352, 1358, 1598, 1591],
-    [1150, 1342, 1583, 1592, 1353],
-    [1148, 1340, 1580, 1591, 1352],
-    [1333, 1342, 1583, 1573],
-    [1331, 1340, 1580, 1571],
-    [1144, 1326, 1566, 1573, 1333],
-    [1142, 1325, 1565, 1571, 1331],
-    [1325, 1326, 1566, 1565],
-    [998, 1353, 1359],
-    [867, 998, 1359, 1153],
-    [995, 1352, 1358],
-    [866, 995, 1358, 1153],
-    [862, 998, 1353, 1150],
-    [860, 995, 1352, 1148],
-    [979, 1333, 1342],
-    [856, 979, 1342, 1150],
-    [977, 1331, 1340],
-    [854, 977, 1340, 1148],
-    [850, 979, 1333, 1144],
-    [848, 977, 1331, 1142],
-    [965, 1325, 1326],
-    [844, 965, 1326, 1144],
-    [842, 965, 1325, 1142],
-    [1745, 1754, 1762, 1763, 1756],
-    [1600, 1601, 1763, 1762],
-    [1585, 1594, 1763, 1756],
-    [1594, 1601, 1763],
-    [1582, 1593, 1762, 1754],
-    [1593, 1600, 1762],
-    [1568, 1574, 1756, 1745],
-    [1574, 1585, 1756],
-    [1567, 1572, 1754, 1745],
-    [1572, 1582, 1754],
-    [1567, 1568, 1745],
-    [1154, 1360, 1600, 1601, 1361],
-    [1355, 1361, 1601, 1594],
-    [1354, 1360, 1600, 1593],
-    [1151, 1343, 1585, 1594, 1355],
-    [1149, 1341, 1582, 1593, 1354],
-    [1334, 1343, 1585, 1574],
-    [1332, 1341, 1582, 1572],
-    [1145, 1328, 1568, 1574, 1334],
-    [1143, 1327, 1567, 1572, 1332],
-    [1327, 1328, 1568, 1567],
-    [1002, 1355, 1361],
-    [869, 1002, 1361, 1154],
-    [999, 1354, 1360],
-    [868, 999, 1360, 1154],
-    [863, 1002, 1355, 1151],
-    [861, 999, 1354, 1149],
-    [980, 1334, 1343],
-    [857, 980, 1343, 1151],
-    [978, 1332, 1341],
-    [855, 978, 1341, 1149],
-    [851, 980, 1334, 1145],
-    [849, 978, 1332, 1143],
-    [966, 1327, 1328],
-    [845, 966, 1328, 1145],
-    [843, 966, 1327, 1143],
-    [1773, 1782, 1790, 1791, 1783],
-    [1652, 1653, 1791, 1790],
-    [1633, 1641, 1791, 1783],
-    [1641, 1653, 1791],
-    [1632, 1640, 1790, 1782],
-    [1640, 1652, 1790],
-    [1605, 1617, 1783, 1773],
-    [1617, 1633, 1783],
-    [1603, 1615, 1782, 1773],
-    [1615, 1632, 1782],
-    [1603, 1605, 1773],
-    [1176, 1416, 1652, 1653, 1417],
-    [1411, 1417, 1653, 1641],
-    [1410, 1416, 1652, 1640],
-    [1165, 1393, 1633, 1641, 1411],
-    [1164, 1392, 1632, 1640, 1410],
-    [1377, 1393, 1633, 1617],
-    [1375, 1392, 1632, 1615],
-    [1156, 1363, 1605, 1617, 1377],
-    [1155, 1362, 1603, 1615, 1375],
-    [1362, 1363, 1605, 1603],
-    [1059, 1411, 1417],
-    [909, 1059, 1417, 1176],
-    [1057, 1410, 1416],
-    [907, 1057, 1416, 1176],
-    [897, 1059, 1411, 1165],
-    [895, 1057, 1410, 1164],
-    [1023, 1377, 1393],
-    [885, 1023, 1393, 1165],
-    [1021, 1375, 1392],
-    [883, 1021, 1392, 1164],
-    [877, 1023, 1377, 1156],
-    [876, 1021, 1375, 1155],
-    [1005, 1362, 1363],
-    [871, 1005, 1363, 1156],
-    [870, 1005, 1362, 1155],
-    [1774, 1784, 1792, 1793, 1785],
-    [1654, 1655, 1793, 1792],
-    [1635, 1643, 1793, 1785],
-    [1643, 1655, 1793],
-    [1634, 1642, 1792, 1784],
-    [1642, 1654, 1792],
-    [1608, 1620, 1785, 1774],
-    [1620, 1635, 1785],
-    [1606, 1618, 1784, 1774],
-    [1618, 1634, 1784],
-    [1606, 1608, 1774],
-    [1177, 1418, 1654, 1655, 1419],
-    [1413, 1419, 1655, 1643],
-    [1412, 1418, 1654, 1642],
-    [1167, 1395, 1635, 1643, 1413],
-    [1166, 1394, 1634, 1642, 1412],
-    [1380, 1395, 1635, 1620],
-    [1378, 1394, 1634, 1618],
-    [1158, 1365, 1608, 1620, 1380],
-    [1157, 1364, 1606, 1618, 1378],
-    [1364, 1365, 1608, 1606],
-    [1062, 1413, 1419],
-    [912, 1062, 1419, 1177],
-    [1060, 1412, 1418],
-    [910, 1060, 1418, 1177],
-    [900, 1062, 1413, 1167],
-    [898, 1060, 1412, 1166],
-    [1026, 1380, 1395],
-    [888, 1026, 1395, 1167],
-    [1024, 1378, 1394],
-    [886, 1024, 1394, 1166],
-    [879, 1026, 1380, 1158],
-    [878, 1024, 1378, 1157],
-    [1006, 1364, 1365],
-    [873, 1006, 1365, 1158],
-    [872, 1006, 1364, 1157],
-    [1775, 1786, 1798, 1799, 1787],
-    [1660, 1661, 1799, 1798],
-    [1637, 1649, 1799, 1787],
-    [1649, 1661, 1799],
-    [1636, 1648, 1798, 1786],
-    [1648, 1660, 1798],
-    [1613, 1625, 1787, 1775],
-    [1625, 1637, 1787],
-    [1611, 1623, 1786, 1775],
-    [1623, 1636, 1786],
-    [1611, 1613, 1775],
-    [1178, 1420, 1660, 1661, 1421],
-    [1415, 1421, 1661, 1649],
-    [1414, 1420, 1660, 1648],
-    [1169, 1397, 1637, 1649, 1415],
-    [1168, 1396, 1636, 1648, 1414],
-    [1385, 1397, 1637, 1625],
-    [1383, 1396, 1636, 1623],
-    [1160, 1367, 1613, 1625, 1385],
-    [1159, 1366, 1611, 1623, 1383],
-    [1366, 1367, 1613, 1611],
-    [1067, 1415, 1421],
-    [917, 1067, 1421, 1178],
-    [1065, 1414, 1420],
-    [915, 1065, 1420, 1178],
-    [905, 1067, 1415, 1169],
-    [903, 1065, 1414, 1168],
-    [1031, 1385, 1397],
-    [893, 1031, 1397, 1169],
-    [1029, 1383, 1396],
-    [891, 1029, 1396, 1168],
-    [881, 1031, 1385, 1160],
-    [880, 1029, 1383, 1159],
-    [1007, 1366, 1367],
-    [875, 1007, 1367, 1160],
-    [874, 1007, 1366, 1159],
-    [1800, 1801, 1813, 1824, 1812],
-    [1676, 1688, 1824, 1813],
-    [1674, 1686, 1824, 1812],
-    [1686, 1688, 1824],
-    [1651, 1663, 1813, 1801],
-    [1663, 1676, 1813],
-    [1650, 1662, 1812, 1800],
-    [1662, 1674, 1812],
-    [1638, 1639, 1801, 1800],
-    [1639, 1651, 1801],
-    [1638, 1650, 1800],
-    [1452, 1453, 1688, 1686],
-    [1180, 1436, 1676, 1688, 1453],
-    [1179, 1434, 1674, 1686, 1452],
-    [1423, 1436, 1676, 1663],
-    [1422, 1434, 1674, 1662],
-    [1171, 1405, 1651, 1663, 1423],
-    [1170, 1404, 1650, 1662, 1422],
-    [1399, 1405, 1651, 1639],
-    [1398, 1404, 1650, 1638],
-    [1161, 1398, 1638, 1639, 1399],
-    [1092, 1452, 1453],
-    [925, 1092, 1453, 1180],
-    [924, 1092, 1452, 1179],
-    [1070, 1423, 1436],
-    [919, 1070, 1436, 1180],
-    [1068, 1422, 1434],
-    [918, 1068, 1434, 1179],
-    [908, 1070, 1423, 1171],
-    [906, 1068, 1422, 1170],
-    [1034, 1399, 1405],
-    [896, 1034, 1405, 1171],
-    [1032, 1398, 1404],
-    [894, 1032, 1404, 1170],
-    [884, 1034, 1399, 1161],
-    [882, 1032, 1398, 1161],
-    [1806, 1807, 1815, 1825, 1814],
-    [1681, 1693, 1825, 1815],
-    [1679, 1691, 1825, 1814],
-    [1691, 1693, 1825],
-    [1657, 1665, 1815, 1807],
-    [1665, 1681, 1815],
-    [1656, 1664, 1814, 1806],
-    [1664, 1679, 1814],
-    [1644, 1645, 1807, 1806],
-    [1645, 1657, 1807],
-    [1644, 1656, 1806],
-    [1454, 1455, 1693, 1691],
-    [1182, 1441, 1681, 1693, 1455],
-    [1181, 1439, 1679, 1691, 1454],
-    [1425, 1441, 1681, 1665],
-    [1424, 1439, 1679, 1664],
-    [1173, 1407, 1657, 1665, 1425],
-    [1172, 1406, 1656, 1664, 1424],
-    [1401, 1407, 1657, 1645],
-    [1400, 1406, 1656, 1644],
-    [1162, 1400, 1644, 1645, 1401],
-    [1093, 1454, 1455],
-    [927, 1093, 1455, 1182],
-    [926, 1093, 1454, 1181],
-    [1075, 1425, 1441],
-    [921, 1075, 1441, 1182],
-    [1073, 1424, 1439],
-    [920, 1073, 1439, 1181],
-    [913, 1075, 1425, 1173],
-    [911, 1073, 1424, 1172],
-    [1039, 1401, 1407],
-    [901, 1039, 1407, 1173],
-    [1037, 1400, 1406],
-    [899, 1037, 1406, 1172],
-    [889, 1039, 1401, 1162],
-    [887, 1037, 1400, 1162],
-    [1808, 1809, 1817, 1826, 1816],
-    [1684, 1696, 1826, 1817],
-    [1682, 1694, 1826, 1816],
-    [1694, 1696, 1826],
-    [1659, 1667, 1817, 1809],
-    [1667, 1684, 1817],
-    [1658, 1666, 1816, 1808],
-    [1666, 1682, 1816],
-    [1646, 1647, 1809, 1808],
-    [1647, 1659, 1809],
-    [1646, 1658, 1808],
-    [1456, 1457, 1696, 1694],
-    [1184, 1444, 1684, 1696, 1457],
-    [1183, 1442, 1682, 1694, 1456],
-    [1427, 1444, 1684, 1667],
-    [1426, 1442, 1682, 1666],
-    [1175, 1409, 1659, 1667, 1427],
-    [1174, 1408, 1658, 1666, 1426],
-    [1403, 1409, 1659, 1647],
-    [1402, 1408, 1658, 1646],
-    [1163, 1402, 1646, 1647, 1403],
-    [1094, 1456, 1457],
-    [929, 1094, 1457, 1184],
-    [928, 1094, 1456, 1183],
-    [1078, 1427, 1444],
-    [923, 1078, 1444, 1184],
-    [1076, 1426, 1442],
-    [922, 1076, 1442, 1183],
-    [916, 1078, 1427, 1175],
-    [914, 1076, 1426, 1174],
-    [1042, 1403, 1409],
-    [904, 1042, 1409, 1175],
-    [1040, 1402, 1408],
-    [902, 1040, 1408, 1174],
-    [892, 1042, 1403, 1163],
-    [890, 1040, 1402, 1163],
-    [1836, 1837, 1845, 1854, 1843],
-    [1727, 1732, 1854, 1845],
-    [1725, 1731, 1854, 1843],
-    [1731, 1732, 1854],
-    [1706, 1717, 1845, 1837],
-    [1717, 1727, 1845],
-    [1705, 1714, 1843, 1836],
-    [1714, 1725, 1843],
-    [1698, 1699, 1837, 1836],
-    [1699, 1706, 1837],
-    [1698, 1705, 1836],
-    [1491, 1492, 1732, 1731],
-    [1196, 1487, 1727, 1732, 1492],
-    [1194, 1485, 1725, 1731, 1491],
-    [1478, 1487, 1727, 1717],
-    [1476, 1485, 1725, 1714],
-    [1190, 1465, 1706, 1717, 1478],
-    [1188, 1464, 1705, 1714, 1476],
-    [1459, 1465, 1706, 1699],
-    [1458, 1464, 1705, 1698],
-    [1185, 1458, 1698, 1699, 1459],
-    [1133, 1491, 1492],
-    [956, 1133, 1492, 1196],
-    [954, 1133, 1491, 1194],
-    [1121, 1478, 1487],
-    [950, 1121, 1487, 1196],
-    [1119, 1476, 1485],
-    [948, 1119, 1485, 1194],
-    [944, 1121, 1478, 1190],
-    [942, 1119, 1476, 1188],
-    [1100, 1459, 1465],
-    [938, 1100, 1465, 1190],
-    [1097, 1458, 1464],
-    [936, 1097, 1464, 1188],
-    [931, 1100, 1459, 1185],
-    [930, 1097, 1458, 1185],
-    [1838, 1839, 1848, 1855, 1846],
-    [1728, 1734, 1855, 1848],
-    [1726, 1733, 1855, 1846],
-    [1733, 1734, 1855],
-    [1708, 1719, 1848, 1839],
-    [1719, 1728, 1848],
-    [1707, 1716, 1846, 1838],
-    [1716, 1726, 1846],
-    [1700, 1701, 1839, 1838],
-    [1701, 1708, 1839],
-    [1700, 1707, 1838],
-    [1493, 1494, 1734, 1733],
-    [1197, 1488, 1728, 1734, 1494],
-    [1195, 1486, 1726, 1733, 1493],
-    [1479, 1488, 1728, 1719],
-    [1477, 1486, 1726, 1716],
-    [1191, 1467, 1708, 1719, 1479],
-    [1189, 1466, 1707, 1716, 1477],
-    [1461, 1467, 1708, 1701],
-    [1460, 1466, 1707, 1700],
-    [1186, 1460, 1700, 1701, 1461],
-    [1134, 1493, 1494],
-    [957, 1134, 1494, 1197],
-    [955, 1134, 1493, 1195],
-    [1122, 1479, 1488],
-    [951, 1122, 1488, 1197],
-    [1120, 1477, 1486],
-    [949, 1120, 1486, 1195],
-    [945, 1122, 1479, 1191],
-    [943, 1120, 1477, 1189],
-    [1104, 1461, 1467],
-    [939, 1104, 1467, 1191],
-    [1101, 1460, 1466],
-    [937, 1101, 1466, 1189],
-    [933, 1104, 1461, 1186],
-    [932, 1101, 1460, 1186],
-    [1840, 1841, 1853, 1856, 1851],
-    [1730, 1736, 1856, 1853],
-    [1729, 1735, 1856, 1851],
-    [1735, 1736, 1856],
-    [1712, 1724, 1853, 1841],
-    [1724, 1730, 1853],
-    [1711, 1722, 1851, 1840],
-    [1722, 1729, 1851],
-    [1702, 1703, 1841, 1840],
-    [1703, 1712, 1841],
-    [1702, 1711, 1840],
-    [1495, 1496, 1736, 1735],
-    [1199, 1490, 1730, 1736, 1496],
-    [1198, 1489, 1729, 1735, 1495],
-    [1481, 1490, 1730, 1724],
-    [1480, 1489, 1729, 1722],
-    [1193, 1469, 1712, 1724, 1481],
-    [1192, 1468, 1711, 1722, 1480],
-    [1463, 1469, 1712, 1703],
-    [1462, 1468, 1711, 1702],
-    [1187, 1462, 1702, 1703, 1463],
-    [1139, 1495, 1496],
-    [959, 1139, 1496, 1199],
-    [958, 1139, 1495, 1198],
-    [1124, 1481, 1490],
-    [953, 1124, 1490, 1199],
-    [1123, 1480, 1489],
-    [952, 1123, 1489, 1198],
-    [947, 1124, 1481, 1193],
-    [946, 1123, 1480, 1192],
-    [1112, 1463, 1469],
-    [941, 1112, 1469, 1193],
-    [1109, 1462, 1468],
-    [940, 1109, 1468, 1192],
-    [935, 1112, 1463, 1187],
-    [934, 1109, 1462, 1187],
-    [960, 1200, 1323],
-    [961, 1140, 1323, 1200],
-    [960, 1201, 1324],
-    [963, 1141, 1324, 1201],
-    [965, 1202, 1325],
-    [962, 1142, 1325, 1202],
-    [966, 1203, 1327],
-    [964, 1143, 1327, 1203],
-    [967, 1144, 1326, 1204],
-    [965, 1204, 1326],
-    [966, 1205, 1328],
-    [968, 1145, 1328, 1205],
-    [975, 1206, 1329],
-    [969, 1140, 1329, 1206],
-    [976, 1208, 1330],
-    [971, 1141, 1330, 1208],
-    [977, 1207, 1331],
-    [970, 1142, 1331, 1207],
-    [978, 1209, 1332],
-    [972, 1143, 1332, 1209],
-    [979, 1210, 1333],
-    [973, 1144, 1333, 1210],
-    [980, 1211, 1334],
-    [974, 1145, 1334, 1211],
-    [975, 1212, 1338],
-    [981, 1146, 1338, 1212],
-    [982, 1147, 1339, 1214],
-    [976, 1214, 1339],
-    [977, 1213, 1340],
-    [983, 1148, 1340, 1213],
-    [978, 1215, 1341],
-    [984, 1149, 1341, 1215],
-    [979, 1216, 1342],
-    [985, 1150, 1342, 1216],
-    [980, 1217, 1343],
-    [986, 1151, 1343, 1217],
-    [987, 1224, 1350],
-    [988, 1146, 1350, 1224],
-    [991, 1147, 1351, 1225],
-    [990, 1225, 1351],
-    [995, 1226, 1352],
-    [994, 1148, 1352, 1226],
-    [997, 1149, 1354, 1227],
-    [999, 1227, 1354],
-    [998, 1228, 1353],
-    [1000, 1150, 1353, 1228],
-    [1002, 1229, 1355],
-    [1003, 1151, 1355, 1229],
-    [987, 1230, 1356],
-    [1014, 1152, 1356, 1230],
-    [990, 1231, 1357],
-    [1015, 1152, 1357, 1231],
-    [1005, 1218, 1362],
-    [989, 1155, 1362, 1218],
-    [1005, 1219, 1363],
-    [992, 1156, 1363, 1219],
-    [1006, 1220, 1364],
-    [993, 1157, 1364, 1220],
-    [1006, 1221, 1365],
-    [996, 1158, 1365, 1221],
-    [1016, 1153, 1358, 1232],
-    [995, 1232, 1358],
-    [1017, 1153, 1359, 1233],
-    [998, 1233, 1359],
-    [999, 1234, 1360],
-    [1018, 1154, 1360, 1234],
-    [1002, 1235, 1361],
-    [1019, 1154, 1361, 1235],
-    [1007, 1222, 1366],
-    [1001, 1159, 1366, 1222],
-    [1007, 1223, 1367],
-    [1004, 1160, 1367, 1223],
-    [1021, 1236, 1375],
-    [1008, 1155, 1375, 1236],
-    [1023, 1238, 1377],
-    [1010, 1156, 1377, 1238],
-    [1024, 1237, 1378],
-    [1009, 1157, 1378, 1237],
-    [1026, 1239, 1380],
-    [1011, 1158, 1380, 1239],
-    [1029, 1240, 1383],
-    [1012, 1159, 1383, 1240],
-    [1031, 1241, 1385],
-    [1013, 1160, 1385, 1241],
-    [1032, 1242, 1398],
-    [1020, 1161, 1398, 1242],
-    [1033, 1164, 1392, 1243],
-    [1021, 1243, 1392],
-    [1034, 1244, 1399],
-    [1022, 1161, 1399, 1244],
-    [1024, 1245, 1394],
-    [1035, 1166, 1394, 1245],
-    [1036, 1165, 1393, 1246],
-    [1023, 1246, 1393],
-    [1037, 1247, 1400],
-    [1025, 1162, 1400, 1247],
-    [1038, 1167, 1395, 1248],
-    [1026, 1248, 1395],
-    [1027, 1162, 1401, 1249],
-    [1039, 1249, 1401],
-    [1040, 1250, 1402],
-    [1028, 1163, 1402, 1250],
-    [1041, 1168, 1396, 1251],
-    [1029, 1251, 1396],
-    [1042, 1252, 1403],
-    [1030, 1163, 1403, 1252],
-    [1043, 1169, 1397, 1253],
-    [1031, 1253, 1397],
-    [1032, 1254, 1404],
-    [1044, 1170, 1404, 1254],
-    [1034, 1255, 1405],
-    [1045, 1171, 1405, 1255],
-    [1037, 1256, 1406],
-    [1046, 1172, 1406, 1256],
-    [1039, 1257, 1407],
-    [1048, 1173, 1407, 1257],
-    [1047, 1174, 1408, 1258],
-    [1040, 1258, 1408],
-    [1042, 1259, 1409],
-    [1049, 1175, 1409, 1259],
-    [1057, 1260, 1410],
-    [1050, 1164, 1410, 1260],
-    [1052, 1165, 1411, 1261],
-    [1059, 1261, 1411],
-    [1060, 1262, 1412],
-    [1051, 1166, 1412, 1262],
-    [1062, 1263, 1413],
-    [1053, 1167, 1413, 1263],
-    [1065, 1264, 1414],
-    [1054, 1168, 1414, 1264],
-    [1067, 1265, 1415],
-    [1055, 1169, 1415, 1265],
-    [1056, 1170, 1422, 1266],
-    [1068, 1266, 1422],
-    [1057, 1267, 1416],
-    [1069, 1176, 1416, 1267],
-    [1058, 1171, 1423, 1268],
-    [1070, 1268, 1423],
-    [1059, 1269, 1417],
-    [1071, 1176, 1417, 1269],
-    [1072, 1177, 1418, 1270],
-    [1060, 1270, 1418],
-    [1061, 1172, 1424, 1271],
-    [1073, 1271, 1424],
-    [1062, 1272, 1419],
-    [1074, 1177, 1419, 1272],
-    [1063, 1174, 1426, 1273],
-    [1076, 1273, 1426],
-    [1075, 1274, 1425],
-    [1064, 1173, 1425, 1274],
-    [1065, 1275, 1420],
-    [1077, 1178, 1420, 1275],
-    [1066, 1175, 1427, 1276],
-    [1078, 1276, 1427],
-    [1067, 1277, 1421],
-    [1079, 1178, 1421, 1277],
-    [1068, 1278, 1434],
-    [1086, 1179, 1434, 1278],
-    [1070, 1279, 1436],
-    [1087, 1180, 1436, 1279],
-    [1073, 1280, 1439],
-    [1088, 1181, 1439, 1280],
-    [1075, 1282, 1441],
-    [1090, 1182, 1441, 1282],
-    [1076, 1281, 1442],
-    [1089, 1183, 1442, 1281],
-    [1078, 1283, 1444],
-    [1091, 1184, 1444, 1283],
-    [1092, 1296, 1452],
-    [1095, 1179, 1452, 1296],
-    [1092, 1297, 1453],
-    [1098, 1180, 1453, 1297],
-    [1097, 1284, 1458],
-    [1080, 1185, 1458, 1284],
-    [1100, 1285, 1459],
-    [1081, 1185, 1459, 1285],
-    [1082, 1186, 1460, 1286],
-    [1101, 1286, 1460],
-    [1083, 1186, 1461, 1287],
-    [1104, 1287, 1461],
-    [1093, 1298, 1454],
-    [1103, 1181, 1454, 1298],
-    [1093, 1299, 1455],
-    [1106, 1182, 1455, 1299],
-    [1094, 1300, 1456],
-    [1107, 1183, 1456, 1300],
-    [1094, 1301, 1457],
-    [1110, 1184, 1457, 1301],
-    [1109, 1288, 1462],
-    [1084, 1187, 1462, 1288],
-    [1112, 1289, 1463],
-    [1085, 1187, 1463, 1289],
-    [1097, 1290, 1464],
-    [1096, 1188, 1464, 1290],
-    [1101, 1291, 1466],
-    [1099, 1189, 1466, 1291],
-    [1102, 1190, 1465, 1292],
-    [1100, 1292, 1465],
-    [1104, 1293, 1467],
-    [1105, 1191, 1467, 1293],
-    [1108, 1192, 1468, 1294],
-    [1109, 1294, 1468],
-    [1112, 1295, 1469],
-    [1111, 1193, 1469, 1295],
-    [1119, 1302, 1476],
-    [1113, 1188, 1476, 1302],
-    [1120, 1303, 1477],
-    [1114, 1189, 1477, 1303],
-    [1121, 1304, 1478],
-    [1115, 1190, 1478, 1304],
-    [1122, 1306, 1479],
-    [1116, 1191, 1479, 1306],
-    [1117, 1192, 1480, 1305],
-    [1123, 1305, 1480],
-    [1124, 1307, 1481],
-    [1118, 1193, 1481, 1307],
-    [1119, 1308, 1485],
-    [1125, 1194, 1485, 1308],
-    [1120, 1309, 1486],
-    [1126, 1195, 1486, 1309],
-    [1121, 1310, 1487],
-    [1127, 1196, 1487, 1310],
-    [1122, 1312, 1488],
-    [1129, 1197, 1488, 1312],
-    [1123, 1311, 1489],
-    [1128, 1198, 1489, 1311],
-    [1124, 1313, 1490],
-    [1130, 1199, 1490, 1313],
-    [1133, 1314, 1491],
-    [1131, 1194, 1491, 1314],
-    [1132, 1195, 1493, 1315],
-    [1134, 1315, 1493],
-    [1133, 1316, 1492],
-    [1135, 1196, 1492, 1316],
-    [1134, 1317, 1494],
-    [1137, 1197, 1494, 1317],
-    [1139, 1318, 1495],
-    [1136, 1198, 1495, 1318],
-    [1139, 1319, 1496],
-    [1138, 1199, 1496, 1319],
-    [1323, 1324, 1500],
-    [1201, 1324, 1500],
-    [1200, 1323, 1500],
-    [1200, 1201, 1500],
-    [1325, 1326, 1501],
-    [1204, 1326, 1501],
-    [1202, 1325, 1501],
-    [1202, 1204, 1501],
-    [1327, 1328, 1502],
-    [1205, 1328, 1502],
-    [1203, 1327, 1502],
-    [1203, 1205, 1502],
-    [1329, 1338, 1503],
-    [1212, 1338, 1503],
-    [1206, 1329, 1503],
-    [1206, 1212, 1503],
-    [1330, 1339, 1505],
-    [1214, 1339, 1505],
-    [1208, 1330, 1505],
-    [1208, 1214, 1505],
-    [1331, 1340, 1504],
-    [1213, 1340, 1504],
-    [1207, 1331, 1504],
-    [1207, 1213, 1504],
-    [1332, 1341, 1506],
-    [1215, 1341, 1506],
-    [1209, 1332, 1506],
-    [1209, 1215, 1506],
-    [1333, 1342, 1507],
-    [1216, 1342, 1507],
-    [1210, 1333, 1507],
-    [1210, 1216, 1507],
-    [1334, 1343, 1508],
-    [1217, 1343, 1508],
-    [1211, 1334, 1508],
-    [1211, 1217, 1508],
-    [1350, 1356, 1512],
-    [1230, 1356, 1512],
-    [1224, 1350, 1512],
-    [1224, 1230, 1512],
-    [1351, 1357, 1513],
-    [1231, 1357, 1513],
-    [1225, 1351, 1513],
-    [1225, 1231, 1513],
-    [1362, 1363, 1509],
-    [1219, 1363, 1509],
-    [1218, 1362, 1509],
-    [1218, 1219, 1509],
-    [1364, 1365, 1510],
-    [1221, 1365, 1510],
-    [1220, 1364, 1510],
-    [1220, 1221, 1510],
-    [1352, 1358, 1514],
-    [1232, 1358, 1514],
-    [1226, 1352, 1514],
-    [1226, 1232, 1514],
-    [1353, 1359, 1515],
-    [1233, 1359, 1515],
-    [1228, 1353, 1515],
-    [1228, 1233, 1515],
-    [1354, 1360, 1516],
-    [1234, 1360, 1516],
-    [1227, 1354, 1516],
-    [1227, 1234, 1516],
-    [1355, 1361, 1517],
-    [1235, 1361, 1517],
-    [1229, 1355, 1517],
-    [1229, 1235, 1517],
-    [1366, 1367, 1511],
-    [1223, 1367, 1511],
-    [1222, 1366, 1511],
-    [1222, 1223, 1511],
-    [1375, 1392, 1518],
-    [1243, 1392, 1518],
-    [1236, 1375, 1518],
-    [1236, 1243, 1518],
-    [1378, 1394, 1519],
-    [1245, 1394, 1519],
-    [1237, 1378, 1519],
-    [1237, 1245, 1519],
-    [1377, 1393, 1520],
-    [1246, 1393, 1520],
-    [1238, 1377, 1520],
-    [1238, 1246, 1520],
-    [1380, 1395, 1521],
-    [1248, 1395, 1521],
-    [1239, 1380, 1521],
-    [1239, 1248, 1521],
-    [1383, 1396, 1522],
-    [1251, 1396, 1522],
-    [1240, 1383, 1522],
-    [1240, 1251, 1522],
-    [1385, 1397, 1523],
-    [1253, 1397, 1523],
-    [1241, 1385, 1523],
-    [1241, 1253, 1523],
-    [1398, 1404, 1524],
-    [1254, 1404, 1524],
-    [1242, 1398, 1524],
-    [1242, 1254, 1524],
-    [1399, 1405, 1525],
-    [1255, 1405, 1525],
-    [1244, 1399, 1525],
-    [1244, 1255, 1525],
-    [1400, 1406, 1526],
-    [1256, 1406, 1526],
-    [1247, 1400, 1526],
-    [1247, 1256, 1526],
-    [1401, 1407, 1527],
-    [1257, 1407, 1527],
-    [1249, 1401, 1527],
-    [1249, 1257, 1527],
-    [1402, 1408, 1528],
-    [1258, 1408, 1528],
-    [1250, 1402, 1528],
-    [1250, 1258, 1528],
-    [1403, 1409, 1529],
-    [1259, 1409, 1529],
-    [1252, 1403, 1529],
-    [1252, 1259, 1529],
-    [1410, 1416, 1530],
-    [1267, 1416, 1530],
-    [1260, 1410, 1530],
-    [1260, 1267, 1530],
-    [1411, 1417, 1531],
-    [1269, 1417, 1531],
-    [1261, 1411, 1531],
-    [1261, 1269, 1531],
-    [1412, 1418, 1532],
-    [1270, 1418, 1532],
-    [1262, 1412, 1532],
-    [1262, 1270, 1532],
-    [1413, 1419, 1533],
-    [1272, 1419, 1533],
-    [1263, 1413, 1533],
-    [1263, 1272, 1533],
-    [1414, 1420, 1534],
-    [1275, 1420, 1534],
-    [1264, 1414, 1534],
-    [1264, 1275, 1534],
-    [1415, 1421, 1535],
-    [1277, 1421, 1535],
-    [1265, 1415, 1535],
-    [1265, 1277, 1535],
-    [1422, 1434, 1536],
-    [1278, 1434, 1536],
-    [1266, 1422, 1536],
-    [1266, 1278, 1536],
-    [1423, 1436, 1537],
-    [1279, 1436, 1537],
-    [1268, 1423, 1537],
-    [1268, 1279, 1537],
-    [1424, 1439, 1538],
-    [1280, 1439, 1538],
-    [1271, 1424, 1538],
-    [1271, 1280, 1538],
-    [1426, 1442, 1539],
-    [1281, 1442, 1539],
-    [1273, 1426, 1539],
-    [1273, 1281, 1539],
-    [1425, 1441, 1540],
-    [1282, 1441, 1540],
-    [1274, 1425, 1540],
-    [1274, 1282, 1540],
-    [1427, 1444, 1541],
-    [1283, 1444, 1541],
-    [1276, 1427, 1541],
-    [1276, 1283, 1541],
-    [1452, 1453, 1548],
-    [1297, 1453, 1548],
-    [1296, 1452, 1548],
-    [1296, 1297, 1548],
-    [1458, 1464, 1542],
-    [1290, 1464, 1542],
-    [1284, 1458, 1542],
-    [1284, 1290, 1542],
-    [1459, 1465, 1543],
-    [1292, 1465, 1543],
-    [1285, 1459, 1543],
-    [1285, 1292, 1543],
-    [1460, 1466, 1544],
-    [1291, 1466, 1544],
-    [1286, 1460, 1544],
-    [1286, 1291, 1544],
-    [1461, 1467, 1545],
-    [1293, 1467, 1545],
-    [1287, 1461, 1545],
-    [1287, 1293, 1545],
-    [1454, 1455, 1549],
-    [1299, 1455, 1549],
-    [1298, 1454, 1549],
-    [1298, 1299, 1549],
-    [1456, 1457, 1550],
-    [1301, 1457, 1550],
-    [1300, 1456, 1550],
-    [1300, 1301, 1550],
-    [1462, 1468, 1546],
-    [1294, 1468, 1546],
-    [1288, 1462, 1546],
-    [1288, 1294, 1546],
-    [1463, 1469, 1547],
-    [1295, 1469, 1547],
-    [1289, 1463, 1547],
-    [1289, 1295, 1547],
-    [1476, 1485, 1551],
-    [1308, 1485, 1551],
-    [1302, 1476, 1551],
-    [1302, 1308, 1551],
-    [1477, 1486, 1552],
-    [1309, 1486, 1552],
-    [1303, 1477, 1552],
-    [1303, 1309, 1552],
-    [1478, 1487, 1553],
-    [1310, 1487, 1553],
-    [1304, 1478, 1553],
-    [1304, 1310, 1553],
-    [1479, 1488, 1555],
-    [1312, 1488, 1555],
-    [1306, 1479, 1555],
-    [1306, 1312, 1555],
-    [1480, 1489, 1554],
-    [1311, 1489, 1554],
-    [1305, 1480, 1554],
-    [1305, 1311, 1554],
-    [1481, 1490, 1556],
-    [1313, 1490, 1556],
-    [1307, 1481, 1556],
-    [1307, 1313, 1556],
-    [1491, 1492, 1557],
-    [1316, 1492, 1557],
-    [1314, 1491, 1557],
-    [1314, 1316, 1557],
-    [1493, 1494, 1558],
-    [1317, 1494, 1558],
-    [1315, 1493, 1558],
-    [1315, 1317, 1558],
-    [1495, 1496, 1559],
-    [1319, 1496, 1559],
-    [1318, 1495, 1559],
-    [1318, 1319, 1559],
-    [1201, 1321, 1560, 1500],
-    [1200, 1320, 1560, 1500],
-    [1320, 1321, 1560],
-    [1320, 1322, 1561],
-    [1202, 1320, 1561, 1501],
-    [1204, 1322, 1561, 1501],
-    [1321, 1322, 1562],
-    [1203, 1321, 1562, 1502],
-    [1205, 1322, 1562, 1502],
-    [1335, 1344, 1576],
-    [1206, 1335, 1576, 1503],
-    [1212, 1344, 1576, 1503],
-    [1213, 1345, 1578, 1504],
-    [1207, 1335, 1578, 1504],
-    [1335, 1345, 1578],
-    [1336, 1346, 1579],
-    [1208, 1336, 1579, 1505],
-    [1214, 1346, 1579, 1505],
-    [1209, 1336, 1581, 1506],
-    [1215, 1347, 1581, 1506],
-    [1336, 1347, 1581],
-    [1337, 1348, 1584],
-    [1216, 1348, 1584, 1507],
-    [1210, 1337, 1584, 1507],
-    [1337, 1349, 1586],
-    [1217, 1349, 1586, 1508],
-    [1211, 1337, 1586, 1508],
-    [1219, 1345, 1589, 1509],
-    [1218, 1344, 1589, 1509],
-    [1344, 1345, 1589],
-    [1346, 1347, 1590],
-    [1221, 1347, 1590, 1510],
-    [1220, 1346, 1590, 1510],
-    [1222, 1348, 1595, 1511],
-    [1223, 1349, 1595, 1511],
-    [1348, 1349, 1595],
-    [1230, 1374, 1602, 1512],
-    [1224, 1368, 1602, 1512],
-    [1368, 1374, 1602],
-    [1369, 1376, 1604],
-    [1231, 1376, 1604, 1513],
-    [1225, 1369, 1604, 1513],
-    [1370, 1379, 1607],
-    [1226, 1370, 1607, 1514],
-    [1232, 1379, 1607, 1514],
-    [1233, 1381, 1609, 1515],
-    [1228, 1372, 1609, 1515],
-    [1372, 1381, 1609],
-    [1371, 1382, 1610],
-    [1234, 1382, 1610, 1516],
-    [1227, 1371, 1610, 1516],
-    [1235, 1384, 1612, 1517],
-    [1229, 1373, 1612, 1517],
-    [1373, 1384, 1612],
-    [1368, 1386, 1614],
-    [1236, 1368, 1614, 1518],
-    [1243, 1386, 1614, 1518],
-    [1369, 1387, 1616],
-    [1245, 1387, 1616, 1519],
-    [1237, 1369, 1616, 1519],
-    [1370, 1388, 1619],
-    [1238, 1370, 1619, 1520],
-    [1246, 1388, 1619, 1520],
-    [1371, 1389, 1621],
-    [1248, 1389, 1621, 1521],
-    [1239, 1371, 1621, 1521],
-    [1372, 1390, 1622],
-    [1240, 1372, 1622, 1522],
-    [1251, 1390, 1622, 1522],
-    [1373, 1391, 1624],
-    [1241, 1373, 1624, 1523],
-    [1253, 1391, 1624, 1523],
-    [1374, 1386, 1626],
-    [1242, 1374, 1626, 1524],
-    [1254, 1386, 1626, 1524],
-    [1244, 1376, 1627, 1525],
-    [1255, 1387, 1627, 1525],
-    [1376, 1387, 1627],
-    [1379, 1388, 1628],
-    [1247, 1379, 1628, 1526],
-    [1256, 1388, 1628, 1526],
-    [1381, 1390, 1629],
-    [1249, 1381, 1629, 1527],
-    [1257, 1390, 1629, 1527],
-    [1258, 1389, 1630, 1528],
-    [1250, 1382, 1630, 1528],
-    [1382, 1389, 1630],
-    [1384, 1391, 1631],
-    [1252, 1384, 1631, 1529],
-    [1259, 1391, 1631, 1529],
-    [1428, 1435, 1668],
-    [1267, 1435, 1668, 1530],
-    [1260, 1428, 1668, 1530],
-    [1261, 1430, 1669, 1531],
-    [1269, 1437, 1669, 1531],
-    [1430, 1437, 1669],
-    [1429, 1438, 1670],
-    [1270, 1438, 1670, 1532],
-    [1262, 1429, 1670, 1532],
-    [1431, 1440, 1671],
-    [1263, 1431, 1671, 1533],
-    [1272, 1440, 1671, 1533],
-    [1275, 1443, 1672, 1534],
-    [1264, 1432, 1672, 1534],
-    [1432, 1443, 1672],
-    [1433, 1445, 1673],
-    [1277, 1445, 1673, 1535],
-    [1265, 1433, 1673, 1535],
-    [1428, 1446, 1675],
-    [1278, 1446, 1675, 1536],
-    [1266, 1428, 1675, 1536],
-    [1429, 1447, 1677],
-    [1279, 1447, 1677, 1537],
-    [1268, 1429, 1677, 1537],
-    [1430, 1448, 1678],
-    [1271, 1430, 1678, 1538],
-    [1280, 1448, 1678, 1538],
-    [1431, 1449, 1680],
-    [1281, 1449, 1680, 1539],
-    [1273, 1431, 1680, 1539],
-    [1432, 1450, 1683],
-    [1274, 1432, 1683, 1540],
-    [1282, 1450, 1683, 1540],
-    [1433, 1451, 1685],
-    [1283, 1451, 1685, 1541],
-    [1276, 1433, 1685, 1541],
-    [1284, 1435, 1687, 1542],
-    [1290, 1446, 1687, 1542],
-    [1435, 1446, 1687],
-    [1437, 1448, 1689],
-    [1285, 1437, 1689, 1543],
-    [1292, 1448, 1689, 1543],
-    [1286, 1438, 1690, 1544],
-    [1291, 1447, 1690, 1544],
-    [1438, 1447, 1690],
-    [1440, 1449, 1692],
-    [1293, 1449, 1692, 1545],
-    [1287, 1440, 1692, 1545],
-    [1443, 1450, 1695],
-    [1288, 1443, 1695, 1546],
-    [1294, 1450, 1695, 1546],
-    [1289, 1445, 1697, 1547],
-    [1295, 1451, 1697, 1547],
-    [1445, 1451, 1697],
-    [1297, 1471, 1704, 1548],
-    [1296, 1470, 1704, 1548],
-    [1470, 1471, 1704],
-    [1472, 1473, 1709],
-    [1298, 1472, 1709, 1549],
-    [1299, 1473, 1709, 1549],
-    [1300, 1474, 1710, 1550],
-    [1301, 1475, 1710, 1550],
-    [1474, 1475, 1710],
-    [1470, 1482, 1713],
-    [1302, 1470, 1713, 1551],
-    [1308, 1482, 1713, 1551],
-    [1471, 1482, 1715],
-    [1303, 1471, 1715, 1552],
-    [1309, 1482, 1715, 1552],
-    [1310, 1483, 1718, 1553],
-    [1304, 1472, 1718, 1553],
-    [1472, 1483, 1718],
-    [1473, 1483, 1720],
-    [1311, 1483, 1720, 1554],
-    [1305, 1473, 1720, 1554],
-    [1306, 1474, 1721, 1555],
-    [1312, 1484, 1721, 1555],
-    [1474, 1484, 1721],
-    [1475, 1484, 1723],
-    [1307, 1475, 1723, 1556],
-    [1313, 1484, 1723, 1556],
-    [1497, 1498, 1737],
-    [1316, 1498, 1737, 1557],
-    [1314, 1497, 1737, 1557],
-    [1497, 1499, 1738],
-    [1317, 1499, 1738, 1558],
-    [1315, 1497, 1738, 1558],
-    [1318, 1498, 1739, 1559],
-    [1319, 1499, 1739, 1559],
-    [1498, 1499, 1739],
-    [1560, 1561, 1562],
-    [1322, 1561, 1562],
-    [1321, 1560, 1562],
-    [1320, 1560, 1561],
-    [1576, 1578, 1589],
-    [1345, 1578, 1589],
-    [1344, 1576, 1589],
-    [1335, 1576, 1578],
-    [1579, 1581, 1590],
-    [1347, 1581, 1590],
-    [1346, 1579, 1590],
-    [1336, 1579, 1581],
-    [1584, 1586, 1595],
-    [1349, 1586, 1595],
-    [1348, 1584, 1595],
-    [1337, 1584, 1586],
-    [1602, 1614, 1626],
-    [1386, 1614, 1626],
-    [1374, 1602, 1626],
-    [1368, 1602, 1614],
-    [1604, 1616, 1627],
-    [1387, 1616, 1627],
-    [1376, 1604, 1627],
-    [1369, 1604, 1616],
-    [1607, 1619, 1628],
-    [1388, 1619, 1628],
-    [1379, 1607, 1628],
-    [1370, 1607, 1619],
-    [1610, 1621, 1630],
-    [1389, 1621, 1630],
-    [1382, 1610, 1630],
-    [1371, 1610, 1621],
-    [1609, 1622, 1629],
-    [1390, 1622, 1629],
-    [1381, 1609, 1629],
-    [1372, 1609, 1622],
-    [1612, 1624, 1631],
-    [1391, 1624, 1631],
-    [1384, 1612, 1631],
-    [1373, 1612, 1624],
-    [1668, 1675, 1687],
-    [1446, 1675, 1687],
-    [1435, 1668, 1687],
-    [1428, 1668, 1675],
-    [1670, 1677, 1690],
-    [1447, 1677, 1690],
-    [1438, 1670, 1690],
-    [1429, 1670, 1677],
-    [1669, 1678, 1689],
-    [1448, 1678, 1689],
-    [1437, 1669, 1689],
-    [1430, 1669, 1678],
-    [1671, 1680, 1692],
-    [1449, 1680, 1692],
-    [1440, 1671, 1692],
-    [1431, 1671, 1680],
-    [1672, 1683, 1695],
-    [1450, 1683, 1695],
-    [1443, 1672, 1695],
-    [1432, 1672, 1683],
-    [1673, 1685, 1697],
-    [1451, 1685, 1697],
-    [1445, 1673, 1697],
-    [1433, 1673, 1685],
-    [1704, 1713, 1715],
-    [1482, 1713, 1715],
-    [1471, 1704, 1715],
-    [1470, 1704, 1713],
-    [1709, 1718, 1720],
-    [1483, 1718, 1720],
-    [1473, 1709, 1720],
-    [1472, 1709, 1718],
-    [1710, 1721, 1723],
-    [1484, 1721, 1723],
-    [1475, 1710, 1723],
-    [1474, 1710, 1721],
-    [1737, 1738, 1739],
-    [1499, 1738, 1739],
-    [1498, 1737, 1739],
-    [1497, 1737, 1738],
-    [1323, 1500, 1740, 1563],
-    [1324, 1500, 1740, 1564],
-    [1563, 1564, 1740],
-    [1326, 1501, 1741, 1566],
-    [1325, 1501, 1741, 1565],
-    [1565, 1566, 1741],
-    [1328, 1502, 1742, 1568],
-    [1327, 1502, 1742, 1567],
-    [1567, 1568, 1742],
-    [1329, 1503, 1747, 1569],
-    [1338, 1503, 1747, 1575],
-    [1569, 1575, 1747],
-    [1339, 1505, 1749, 1577],
-    [1330, 1505, 1749, 1570],
-    [1570, 1577, 1749],
-    [1331, 1504, 1750, 1571],
-    [1340, 1504, 1750, 1580],
-    [1571, 1580, 1750],
-    [1341, 1506, 1752, 1582],
-    [1332, 1506, 1752, 1572],
-    [1572, 1582, 1752],
-    [1333, 1507, 1755, 1573],
-    [1342, 1507, 1755, 1583],
-    [1573, 1583, 1755],
-    [1334, 1508, 1757, 1574],
-    [1343, 1508, 1757, 1585],
-    [1574, 1585, 1757],
-    [1350, 1512, 1764, 1587],
-    [1356, 1512, 1764, 1596],
-    [1587, 1596, 1764],
-    [1351, 1513, 1765, 1588],
-    [1357, 1513, 1765, 1597],
-    [1588, 1597, 1765],
-    [1358, 1514, 1766, 1598],
-    [1352, 1514, 1766, 1591],
-    [1591, 1598, 1766],
-    [1359, 1515, 1767, 1599],
-    [1353, 1515, 1767, 1592],
-    [1592, 1599, 1767],
-    [1354, 1516, 1768, 1593],
-    [1593, 1600, 1768],
-    [1360, 1516, 1768, 1600],
-    [1355, 1517, 1769, 1594],
-    [1361, 1517, 1769, 1601],
-    [1594, 1601, 1769],
-    [1362, 1509, 1770, 1603],
-    [1363, 1509, 1770, 1605],
-    [1603, 1605, 1770],
-    [1364, 1510, 1771, 1606],
-    [1606, 1608, 1771],
-    [1365, 1510, 1771, 1608],
-    [1367, 1511, 1772, 1613],
-    [1366, 1511, 1772, 1611],
-    [1611, 1613, 1772],
-    [1392, 1518, 1776, 1632],
-    [1375, 1518, 1776, 1615],
-    [1615, 1632, 1776],
-    [1393, 1520, 1777, 1633],
-    [1377, 1520, 1777, 1617],
-    [1617, 1633, 1777],
-    [1378, 1519, 1778, 1618],
-    [1618, 1634, 1778],
-    [1394, 1519, 1778, 1634],
-    [1380, 1521, 1779, 1620],
-    [1395, 1521, 1779, 1635],
-    [1620, 1635, 1779],
-    [1396, 1522, 1780, 1636],
-    [1623, 1636, 1780],
-    [1383, 1522, 1780, 1623],
-    [1397, 1523, 1781, 1637],
-    [1385, 1523, 1781, 1625],
-    [1625, 1637, 1781],
-    [1404, 1524, 1788, 1650],
-    [1398, 1524, 1788, 1638],
-    [1638, 1650, 1788],
-    [1405, 1525, 1789, 1651],
-    [1399, 1525, 1789, 1639],
-    [1639, 1651, 1789],
-    [1400, 1526, 1794, 1644],
-    [1406, 1526, 1794, 1656],
-    [1644, 1656, 1794],
-    [1407, 1527, 1795, 1657],
-    [1401, 1527, 1795, 1645],
-    [1645, 1657, 1795],
-    [1408, 1528, 1796, 1658],
-    [1402, 1528, 1796, 1646],
-    [1646, 1658, 1796],
-    [1409, 1529, 1797, 1659],
-    [1403, 1529, 1797, 1647],
-    [1647, 1659, 1797],
-    [1410, 1530, 1802, 1640],
-    [1416, 1530, 1802, 1652],
-    [1640, 1652, 1802],
-    [1411, 1531, 1803, 1641],
-    [1417, 1531, 1803, 1653],
-    [1641, 1653, 1803],
-    [1412, 1532, 1804, 1642],
-    [1418, 1532, 1804, 1654],
-    [1642, 1654, 1804],
-    [1413, 1533, 1805, 1643],
-    [1419, 1533, 1805, 1655],
-    [1643, 1655, 1805],
-    [1414, 1534, 1810, 1648],
-    [1420, 1534, 1810, 1660],
-    [1648, 1660, 1810],
-    [1415, 1535, 1811, 1649],
-    [1421, 1535, 1811, 1661],
-    [1649, 1661, 1811],
-    [1422, 1536, 1818, 1662],
-    [1434, 1536, 1818, 1674],
-    [1662, 1674, 1818],
-    [1423, 1537, 1819, 1663],
-    [1663, 1676, 1819],
-    [1436, 1537, 1819, 1676],
-    [1439, 1538, 1820, 1679],
-    [1424, 1538, 1820, 1664],
-    [1664, 1679, 1820],
-    [1441, 1540, 1821, 1681],
-    [1665, 1681, 1821],
-    [1425, 1540, 1821, 1665],
-    [1426, 1539, 1822, 1666],
-    [1442, 1539, 1822, 1682],
-    [1666, 1682, 1822],
-    [1427, 1541, 1823, 1667],
-    [1444, 1541, 1823, 1684],
-    [1667, 1684, 1823],
-    [1452, 1548, 1827, 1686],
-    [1453, 1548, 1827, 1688],
-    [1686, 1688, 1827],
-    [1455, 1549, 1828, 1693],
-    [1691, 1693, 1828],
-    [1454, 1549, 1828, 1691],
-    [1457, 1550, 1829, 1696],
-    [1456, 1550, 1829, 1694],
-    [1694, 1696, 1829],
-    [1464, 1542, 1830, 1705],
-    [1458, 1542, 1830, 1698],
-    [1698, 1705, 1830],
-    [1465, 1543, 1831, 1706],
-    [1699, 1706, 1831],
-    [1459, 1543, 1831, 1699],
-    [1460, 1544, 1832, 1700],
-    [1466, 1544, 1832, 1707],
-    [1700, 1707, 1832],
-    [1461, 1545, 1833, 1701],
-    [1467, 1545, 1833, 1708],
-    [1701, 1708, 1833],
-    [1468, 1546, 1834, 1711],
-    [1462, 1546, 1834, 1702],
-    [1702, 1711, 1834],
-    [1469, 1547, 1835, 1712],
-    [1463, 1547, 1835, 1703],
-    [1703, 1712, 1835],
-    [1485, 1551, 1842, 1725],
-    [1476, 1551, 1842, 1714],
-    [1714, 1725, 1842],
-    [1486, 1552, 1844, 1726],
-    [1477, 1552, 1844, 1716],
-    [1716, 1726, 1844],
-    [1478, 1553, 1847, 1717],
-    [1487, 1553, 1847, 1727],
-    [1717, 1727, 1847],
-    [1488, 1555, 1849, 1728],
-    [1479, 1555, 1849, 1719],
-    [1719, 1728, 1849],
-    [1480, 1554, 1850, 1722],
-    [1489, 1554, 1850, 1729],
-    [1722, 1729, 1850],
-    [1481, 1556, 1852, 1724],
-    [1490, 1556, 1852, 1730],
-    [1724, 1730, 1852],
-    [1491, 1557, 1857, 1731],
-    [1492, 1557, 1857, 1732],
-    [1731, 1732, 1857],
-    [1493, 1558, 1858, 1733],
-    [1494, 1558, 1858, 1734],
-    [1733, 1734, 1858],
-    [1496, 1559, 1859, 1736],
-    [1495, 1559, 1859, 1735],
-    [1735, 1736, 1859],
-    [1560, 1562, 1862, 1860],
-    [1560, 1561, 1861, 1860],
-    [1561, 1562, 1862, 1861],
-    [1860, 1861, 1862],
-    [2461, 2462, 2470, 2469],
-    [2115, 2286, 2469, 2470, 2287],
-    [2402, 2462, 2470],
-    [2111, 2287, 2470, 2402],
-    [2400, 2461, 2469],
-    [2109, 2286, 2469, 2400],
-    [2100, 2280, 2461, 2462, 2282],
-    [2105, 2282, 2462, 2402],
-    [2103, 2280, 2461, 2400],
-    [1865, 1871, 2111, 2402, 2105],
-    [1863, 1869, 2109, 2400, 2103],
-    [1878, 2044, 2287, 2115],
-    [2044, 2111, 2287],
-    [1876, 2043, 2286, 2115],
-    [2043, 2109, 2286],
-    [2041, 2105, 2282],
-    [1861, 2041, 2282, 2100],
-    [2040, 2103, 2280],
-    [1860, 2040, 2280, 2100],
-    [1876, 1878, 2115],
-    [1750, 1871, 2111, 2044],
-    [1747, 1869, 2109, 2043],
-    [1741, 1865, 2105, 2041],
-    [1740, 1863, 2103, 2040],
-    [1860, 1861, 2100],
-    [1504, 1578, 1878, 2044, 1750],
-    [1503, 1576, 1876, 2043, 1747],
-    [1501, 1561, 1861, 2041, 1741],
-    [1500, 1560, 1860, 2040, 1740],
-    [1576, 1578, 1878, 1876],
-    [1565, 1571, 1871, 1865],
-    [1571, 1750, 1871],
-    [1563, 1569, 1869, 1863],
-    [1569, 1747, 1869],
-    [1565, 1741, 1865],
-    [1563, 1740, 1863],
-    [2463, 2464, 2472, 2471],
-    [2116, 2288, 2471, 2472, 2289],
-    [2403, 2464, 2472],
-    [2112, 2289, 2472, 2403],
-    [2401, 2463, 2471],
-    [2110, 2288, 2471, 2401],
-    [2101, 2281, 2463, 2464, 2283],
-    [2107, 2283, 2464, 2403],
-    [2104, 2281, 2463, 2401],
-    [1867, 1872, 2112, 2403, 2107],
-    [1864, 1870, 2110, 2401, 2104],
-    [1881, 2046, 2289, 2116],
-    [2046, 2112, 2289],
-    [1879, 2045, 2288, 2116],
-    [2045, 2110, 2288],
-    [2042, 2107, 2283],
-    [1862, 2042, 2283, 2101],
-    [2040, 2104, 2281],
-    [1860, 2040, 2281, 2101],
-    [1879, 1881, 2116],
-    [1752, 1872, 2112, 2046],
-    [1749, 1870, 2110, 2045],
-    [1742, 1867, 2107, 2042],
-    [1740, 1864, 2104, 2040],
-    [1860, 1862, 2101],
-    [1506, 1581, 1881, 2046, 1752],
-    [1505, 1579, 1879, 2045, 1749],
-    [1502, 1562, 1862, 2042, 1742],
-    [1579, 1581, 1881, 1879],
-    [1567, 1572, 1872, 1867],
-    [1572, 1752, 1872],
-    [1564, 1570, 1870, 1864],
-    [1570, 1749, 1870],
-    [1567, 1742, 1867],
-    [1564, 1740, 1864],
-    [2467, 2468, 2474, 2473],
-    [2117, 2290, 2473, 2474, 2291],
-    [2405, 2468, 2474],
-    [2114, 2291, 2474, 2405],
-    [2404, 2467, 2473],
-    [2113, 2290, 2473, 2404],
-    [2102, 2284, 2467, 2468, 2285],
-    [2108, 2285, 2468, 2405],
-    [2106, 2284, 2467, 2404],
-    [1868, 1874, 2114, 2405, 2108],
-    [1866, 1873, 2113, 2404, 2106],
-    [1886, 2048, 2291, 2117],
-    [2048, 2114, 2291],
-    [1884, 2047, 2290, 2117],
-    [2047, 2113, 2290],
-    [2042, 2108, 2285],
-    [1862, 2042, 2285, 2102],
-    [2041, 2106, 2284],
-    [1861, 2041, 2284, 2102],
-    [1884, 1886, 2117],
-    [1757, 1874, 2114, 2048],
-    [1755, 1873, 2113, 2047],
-    [1742, 1868, 2108, 2042],
-    [1741, 1866, 2106, 2041],
-    [1861, 1862, 2102],
-    [1508, 1586, 1886, 2048, 1757],
-    [1507, 1584, 1884, 2047, 1755],
-    [1584, 1586, 1886, 1884],
-    [1568, 1574, 1874, 1868],
-    [1574, 1757, 1874],
-    [1566, 1573, 1873, 1866],
-    [1573, 1755, 1873],
-    [1568, 1742, 1868],
-    [1566, 1741, 1866],
-    [1743, 1863, 1864],
-    [1740, 1863, 1864],
-    [1564, 1743, 1864],
-    [1563, 1743, 1863],
-    [1744, 1865, 1866],
-    [1741, 1865, 1866],
-    [1566, 1744, 1866],
-    [1565, 1744, 1865],
-    [1745, 1867, 1868],
-    [1742, 1867, 1868],
-    [1568, 1745, 1868],
-    [1567, 1745, 1867],
-    [1569, 1746, 1869],
-    [1743, 1746, 1869, 1863],
-    [1570, 1748, 1870],
-    [1743, 1748, 1870, 1864],
-    [1571, 1751, 1871],
-    [1744, 1751, 1871, 1865],
-    [1573, 1753, 1873],
-    [1744, 1753, 1873, 1866],
-    [1572, 1754, 1872],
-    [1745, 1754, 1872, 1867],
-    [1574, 1756, 1874],
-    [1745, 1756, 1874, 1868],
-    [1747, 1869, 1875],
-    [1746, 1869, 1875],
-    [1575, 1747, 1875],
-    [1575, 1746, 1875],
-    [1749, 1870, 1877],
-    [1748, 1870, 1877],
-    [1577, 1749, 1877],
-    [1577, 1748, 1877],
-    [1751, 1871, 1880],
-    [1750, 1871, 1880],
-    [1580, 1751, 1880],
-    [1580, 1750, 1880],
-    [1754, 1872, 1882],
-    [1752, 1872, 1882],
-    [1582, 1754, 1882],
-    [1582, 1752, 1882],
-    [1755, 1873, 1883],
-    [1753, 1873, 1883],
-    [1583, 1755, 1883],
-    [1583, 1753, 1883],
-    [1757, 1874, 1885],
-    [1756, 1874, 1885],
-    [1585, 1757, 1885],
-    [1585, 1756, 1885],
-    [1575, 1587, 1887, 1875],
-    [1587, 1758, 1887],
-    [1746, 1758, 1887, 1875],
-    [1577, 1588, 1888, 1877],
-    [1588, 1759, 1888],
-    [1748, 1759, 1888, 1877],
-    [1578, 1589, 1889, 1878],
-    [1576, 1589, 1889, 1876],
-    [1876, 1878, 1889],
-    [1581, 1590, 1890, 1881],
-    [1579, 1590, 1890, 1879],
-    [1879, 1881, 1890],
-    [1591, 1760, 1891],
-    [1580, 1591, 1891, 1880],
-    [1751, 1760, 1891, 1880],
-    [1592, 1761, 1892],
-    [1583, 1592, 1892, 1883],
-    [1753, 1761, 1892, 1883],
-    [1582, 1593, 1893, 1882],
-    [1593, 1762, 1893],
-    [1754, 1762, 1893, 1882],
-    [1585, 1594, 1894, 1885],
-    [1594, 1763, 1894],
-    [1756, 1763, 1894, 1885],
-    [1584, 1595, 1895, 1884],
-    [1586, 1595, 1895, 1886],
-    [1884, 1886, 1895],
-    [1596, 1758, 1896],
-    [1597, 1759, 1897],
-    [1596, 1597, 1897, 1896],
-    [1758, 1759, 1897, 1896],
-    [1599, 1761, 1899],
-    [1598, 1760, 1898],
-    [1598, 1599, 1899, 1898],
-    [1760, 1761, 1899, 1898],
-    [1601, 1763, 1901],
-    [1600, 1762, 1900],
-    [1600, 1601, 1901, 1900],
-    [1762, 1763, 1901, 1900],
-    [1764, 1887, 1896],
-    [1758, 1887, 1896],
-    [1596, 1764, 1896],
-    [1587, 1764, 1887],
-    [1765, 1888, 1897],
-    [1759, 1888, 1897],
-    [1597, 1765, 1897],
-    [1588, 1765, 1888],
-    [1766, 1891, 1898],
-    [1760, 1891, 1898],
-    [1598, 1766, 1898],
-    [1591, 1766, 1891],
-    [1767, 1892, 1899],
-    [1761, 1892, 1899],
-    [1599, 1767, 1899],
-    [1592, 1767, 1892],
-    [1768, 1893, 1900],
-    [1762, 1893, 1900],
-    [1600, 1768, 1900],
-    [1593, 1768, 1893],
-    [1769, 1894, 1901],
-    [1763, 1894, 1901],
-    [1601, 1769, 1901],
-    [1594, 1769, 1894],
-    [2481, 2488, 2508, 2489],
-    [2415, 2489, 2508],
-    [2148, 2304, 2488, 2508, 2316],
-    [2155, 2316, 2508, 2415],
-    [2124, 2292, 2481, 2489, 2298],
-    [2142, 2298, 2489, 2415],
-    [2406, 2481, 2488],
-    [2130, 2304, 2488, 2406],
-    [2118, 2292, 2481, 2406],
-    [1903, 1915, 2155, 2415, 2142],
-    [1875, 1887, 2130, 2406, 2118],
-    [2058, 2155, 2316],
-    [1914, 2058, 2316, 2148],
-    [1902, 2052, 2304, 2148],
-    [2052, 2130, 2304],
-    [2049, 2142, 2298],
-    [1889, 2049, 2298, 2124],
-    [1876, 2043, 2292, 2124],
-    [2043, 2118, 2292],
-    [1776, 1915, 2155, 2058],
-    [1902, 1914, 2148],
-    [1770, 1903, 2142, 2049],
-    [1764, 1887, 2130, 2052],
-    [1876, 1889, 2124],
-    [1747, 1875, 2118, 2043],
-    [1518, 1614, 1914, 2058, 1776],
-    [1512, 1602, 1902, 2052, 1764],
-    [1509, 1589, 1889, 2049, 1770],
-    [1603, 1615, 1915, 1903],
-    [1615, 1776, 1915],
-    [1602, 1614, 1914, 1902],
-    [1603, 1770, 1903],
-    [2482, 2491, 2509, 2493],
-    [2417, 2493, 2509],
-    [2149, 2305, 2491, 2509, 2317],
-    [2158, 2317, 2509, 2417],
-    [2126, 2294, 2482, 2493, 2300],
-    [2144, 2300, 2493, 2417],
-    [2407, 2482, 2491],
-    [2131, 2305, 2491, 2407],
-    [2119, 2294, 2482, 2407],
-    [1906, 1918, 2158, 2417, 2144],
-    [1877, 1888, 2131, 2407, 2119],
-    [2059, 2158, 2317],
-    [1916, 2059, 2317, 2149],
-    [1904, 2053, 2305, 2149],
-    [2053, 2131, 2305],
-    [2050, 2144, 2300],
-    [1890, 2050, 2300, 2126],
-    [1879, 2045, 2294, 2126],
-    [2045, 2119, 2294],
-    [1778, 1918, 2158, 2059],
-    [1904, 1916, 2149],
-    [1771, 1906, 2144, 2050],
-    [1765, 1888, 2131, 2053],
-    [1879, 1890, 2126],
-    [1749, 1877, 2119, 2045],
-    [1519, 1616, 1916, 2059, 1778],
-    [1513, 1604, 1904, 2053, 1765],
-    [1510, 1590, 1890, 2050, 1771],
-    [1606, 1618, 1918, 1906],
-    [1618, 1778, 1918],
-    [1604, 1616, 1916, 1904],
-    [1606, 1771, 1906],
-    [2483, 2492, 2510, 2494],
-    [2150, 2306, 2494, 2510, 2318],
-    [2416, 2492, 2510],
-    [2157, 2318, 2510, 2416],
-    [2408, 2483, 2494],
-    [2132, 2306, 2494, 2408],
-    [2125, 2293, 2483, 2492, 2299],
-    [2143, 2299, 2492, 2416],
-    [2120, 2293, 2483, 2408],
-    [1905, 1917, 2157, 2416, 2143],
-    [1880, 1891, 2132, 2408, 2120],
-    [2060, 2157, 2318],
-    [1919, 2060, 2318, 2150],
-    [1907, 2054, 2306, 2150],
-    [2054, 2132, 2306],
-    [2049, 2143, 2299],
-    [1889, 2049, 2299, 2125],
-    [1878, 2044, 2293, 2125],
-    [2044, 2120, 2293],
-    [1777, 1917, 2157, 2060],
-    [1907, 1919, 2150],
-    [1770, 1905, 2143, 2049],
-    [1766, 1891, 2132, 2054],
-    [1878, 1889, 2125],
-    [1750, 1880, 2120, 2044],
-    [1520, 1619, 1919, 2060, 1777],
-    [1514, 1607, 1907, 2054, 1766],
-    [1607, 1619, 1919, 1907],
-    [1605, 1617, 1917, 1905],
-    [1617, 1777, 1917],
-    [1605, 1770, 1905],
-    [2484, 2496, 2511, 2497],
-    [2151, 2307, 2497, 2511, 2319],
-    [2418, 2496, 2511],
-    [2160, 2319, 2511, 2418],
-    [2409, 2484, 2497],
-    [2134, 2307, 2497, 2409],
-    [2127, 2295, 2484, 2496, 2301],
-    [2145, 2301, 2496, 2418],
-    [2121, 2295, 2484, 2409],
-    [1908, 1920, 2160, 2418, 2145],
-    [1882, 1893, 2134, 2409, 2121],
-    [2061, 2160, 2319],
-    [1921, 2061, 2319, 2151],
-    [1910, 2056, 2307, 2151],
-    [2056, 2134, 2307],
-    [2050, 2145, 2301],
-    [1890, 2050, 2301, 2127],
-    [1881, 2046, 2295, 2127],
-    [2046, 2121, 2295],
-    [1779, 1920, 2160, 2061],
-    [1910, 1921, 2151],
-    [1771, 1908, 2145, 2050],
-    [1768, 1893, 2134, 2056],
-    [1881, 1890, 2127],
-    [1752, 1882, 2121, 2046],
-    [1521, 1621, 1921, 2061, 1779],
-    [1516, 1610, 1910, 2056, 1768],
-    [1610, 1621, 1921, 1910],
-    [1608, 1620, 1920, 1908],
-    [1620, 1779, 1920],
-    [1608, 1771, 1908],
-    [2485, 2500, 2512, 2501],
-    [2419, 2501, 2512],
-    [2152, 2308, 2500, 2512, 2320],
-    [2163, 2320, 2512, 2419],
-    [2128, 2296, 2485, 2501, 2302],
-    [2146, 2302, 2501, 2419],
-    [2410, 2485, 2500],
-    [2133, 2308, 2500, 2410],
-    [2122, 2296, 2485, 2410],
-    [1911, 1923, 2163, 2419, 2146],
-    [1883, 1892, 2133, 2410, 2122],
-    [2062, 2163, 2320],
-    [1922, 2062, 2320, 2152],
-    [1909, 2055, 2308, 2152],
-    [2055, 2133, 2308],
-    [2051, 2146, 2302],
-    [1895, 2051, 2302, 2128],
-    [1884, 2047, 2296, 2128],
-    [2047, 2122, 2296],
-    [1780, 1923, 2163, 2062],
-    [1909, 1922, 2152],
-    [1772, 1911, 2146, 2051],
-    [1767, 1892, 2133, 2055],
-    [1884, 1895, 2128],
-    [1755, 1883, 2122, 2047],
-    [1522, 1622, 1922, 2062, 1780],
-    [1515, 1609, 1909, 2055, 1767],
-    [1511, 1595, 1895, 2051, 1772],
-    [1611, 1623, 1923, 1911],
-    [1623, 1780, 1923],
-    [1609, 1622, 1922, 1909],
-    [1611, 1772, 1911],
-    [2486, 2503, 2513, 2504],
-    [2420, 2504, 2513],
-    [2153, 2309, 2503, 2513, 2321],
-    [2165, 2321, 2513, 2420],
-    [2129, 2297, 2486, 2504, 2303],
-    [2147, 2303, 2504, 2420],
-    [2411, 2486, 2503],
-    [2135, 2309, 2503, 2411],
-    [2123, 2297, 2486, 2411],
-    [1913, 1925, 2165, 2420, 2147],
-    [1885, 1894, 2135, 2411, 2123],
-    [2063, 2165, 2321],
-    [1924, 2063, 2321, 2153],
-    [1912, 2057, 2309, 2153],
-    [2057, 2135, 2309],
-    [2051, 2147, 2303],
-    [1895, 2051, 2303, 2129],
-    [1886, 2048, 2297, 2129],
-    [2048, 2123, 2297],
-    [1781, 1925, 2165, 2063],
-    [1912, 1924, 2153],
-    [1772, 1913, 2147, 2051],
-    [1769, 1894, 2135, 2057],
-    [1886, 1895, 2129],
-    [1757, 1885, 2123, 2048],
-    [1523, 1624, 1924, 2063, 1781],
-    [1517, 1612, 1912, 2057, 1769],
-    [1613, 1625, 1925, 1913],
-    [1625, 1781, 1925],
-    [1612, 1624, 1924, 1912],
-    [1613, 1772, 1913],
-    [1773, 1903, 1905],
-    [1770, 1903, 1905],
-    [1605, 1773, 1905],
-    [1603, 1773, 1903],
-    [1774, 1906, 1908],
-    [1771, 1906, 1908],
-    [1608, 1774, 1908],
-    [1606, 1774, 1906],
-    [1775, 1911, 1913],
-    [1772, 1911, 1913],
-    [1613, 1775, 1913],
-    [1611, 1775, 1911],
-    [2514, 2515, 2522, 2520],
-    [2421, 2520, 2522],
-    [2156, 2311, 2515, 2522, 2324],
-    [2179, 2324, 2522, 2421],
-    [2154, 2310, 2514, 2520, 2322],
-    [2178, 2322, 2520, 2421],
-    [2412, 2514, 2515],
-    [2137, 2311, 2515, 2412],
-    [2136, 2310, 2514, 2412],
-    [1938, 1939, 2179, 2421, 2178],
-    [1896, 1897, 2137, 2412, 2136],
-    [2065, 2179, 2324],
-    [1927, 2065, 2324, 2156],
-    [2064, 2178, 2322],
-    [1926, 2064, 2322, 2154],
-    [1904, 2053, 2311, 2156],
-    [2053, 2137, 2311],
-    [1902, 2052, 2310, 2154],
-    [2052, 2136, 2310],
-    [1789, 1939, 2179, 2065],
-    [1788, 1938, 2178, 2064],
-    [1904, 1927, 2156],
-    [1902, 1926, 2154],
-    [1765, 1897, 2137, 2053],
-    [1764, 1896, 2136, 2052],
-    [1525, 1627, 1927, 2065, 1789],
-    [1524, 1626, 1926, 2064, 1788],
-    [1638, 1639, 1939, 1938],
-    [1639, 1789, 1939],
-    [1638, 1788, 1938],
-    [1604, 1627, 1927, 1904],
-    [1602, 1626, 1926, 1902],
-    [2516, 2517, 2527, 2525],
-    [2422, 2525, 2527],
-    [2161, 2313, 2517, 2527, 2329],
-    [2181, 2329, 2527, 2422],
-    [2159, 2312, 2516, 2525, 2327],
-    [2180, 2327, 2525, 2422],
-    [2413, 2516, 2517],
-    [2139, 2313, 2517, 2413],
-    [2138, 2312, 2516, 2413],
-    [1944, 1945, 2181, 2422, 2180],
-    [1898, 1899, 2139, 2413, 2138],
-    [2067, 2181, 2329],
-    [1929, 2067, 2329, 2161],
-    [2066, 2180, 2327],
-    [1928, 2066, 2327, 2159],
-    [1909, 2055, 2313, 2161],
-    [2055, 2139, 2313],
-    [1907, 2054, 2312, 2159],
-    [2054, 2138, 2312],
-    [1795, 1945, 2181, 2067],
-    [1794, 1944, 2180, 2066],
-    [1909, 1929, 2161],
-    [1907, 1928, 2159],
-    [1767, 1899, 2139, 2055],
-    [1766, 1898, 2138, 2054],
-    [1527, 1629, 1929, 2067, 1795],
-    [1526, 1628, 1928, 2066, 1794],
-    [1644, 1645, 1945, 1944],
-    [1645, 1795, 1945],
-    [1644, 1794, 1944],
-    [1609, 1629, 1929, 1909],
-    [1607, 1628, 1928, 1907],
-    [2518, 2519, 2530, 2528],
-    [2423, 2528, 2530],
-    [2164, 2315, 2519, 2530, 2332],
-    [2183, 2332, 2530, 2423],
-    [2162, 2314, 2518, 2528, 2330],
-    [2182, 2330, 2528, 2423],
-    [2414, 2518, 2519],
-    [2141, 2315, 2519, 2414],
-    [2140, 2314, 2518, 2414],
-    [1946, 1947, 2183, 2423, 2182],
-    [1900, 1901, 2141, 2414, 2140],
-    [2069, 2183, 2332],
-    [1931, 2069, 2332, 2164],
-    [2068, 2182, 2330],
-    [1930, 2068, 2330, 2162],
-    [1912, 2057, 2315, 2164],
-    [2057, 2141, 2315],
-    [1910, 2056, 2314, 2162],
-    [2056, 2140, 2314],
-    [1797, 1947, 2183, 2069],
-    [1796, 1946, 2182, 2068],
-    [1912, 1931, 2164],
-    [1910, 1930, 2162],
-    [1769, 1901, 2141, 2057],
-    [1768, 1900, 2140, 2056],
-    [1529, 1631, 1931, 2069, 1797],
-    [1528, 1630, 1930, 2068, 1796],
-    [1646, 1647, 1947, 1946],
-    [1647, 1797, 1947],
-    [1646, 1796, 1946],
-    [1612, 1631, 1931, 1912],
-    [1610, 1630, 1930, 1910],
-    [1614, 1626, 1926, 1914],
-    [1902, 1914, 1926],
-    [1615, 1782, 1915],
-    [1773, 1782, 1915, 1903],
-    [1616, 1627, 1927, 1916],
-    [1904, 1916, 1927],
-    [1617, 1783, 1917],
-    [1773, 1783, 1917, 1905],
-    [1618, 1784, 1918],
-    [1774, 1784, 1918, 1906],
-    [1619, 1628, 1928, 1919],
-    [1907, 1919, 1928],
-    [1620, 1785, 1920],
-    [1774, 1785, 1920, 1908],
-    [1621, 1630, 1930, 1921],
-    [1910, 1921, 1930],
-    [1622, 1629, 1929, 1922],
-    [1909, 1922, 1929],
-    [1623, 1786, 1923],
-    [1775, 1786, 1923, 1911],
-    [1624, 1631, 1931, 1924],
-    [1912, 1924, 1931],
-    [1625, 1787, 1925],
-    [1775, 1787, 1925, 1913],
-    [1782, 1915, 1932],
-    [1776, 1915, 1932],
-    [1632, 1782, 1932],
-    [1632, 1776, 1932],
-    [1783, 1917, 1933],
-    [1777, 1917, 1933],
-    [1633, 1783, 1933],
-    [1633, 1777, 1933],
-    [1784, 1918, 1934],
-    [1778, 1918, 1934],
-    [1634, 1784, 1934],
-    [1634, 1778, 1934],
-    [1785, 1920, 1935],
-    [1779, 1920, 1935],
-    [1635, 1785, 1935],
-    [1635, 1779, 1935],
-    [1786, 1923, 1936],
-    [1780, 1923, 1936],
-    [1636, 1786, 1936],
-    [1636, 1780, 1936],
-    [1787, 1925, 1937],
-    [1781, 1925, 1937],
-    [1637, 1787, 1937],
-    [1637, 1781, 1937],
-    [1632, 1640, 1940, 1932],
-    [1640, 1790, 1940],
-    [1782, 1790, 1940, 1932],
-    [1633, 1641, 1941, 1933],
-    [1641, 1791, 1941],
-    [1783, 1791, 1941, 1933],
-    [1634, 1642, 1942, 1934],
-    [1642, 1792, 1942],
-    [1784, 1792, 1942, 1934],
-    [1635, 1643, 1943, 1935],
-    [1643, 1793, 1943],
-    [1785, 1793, 1943, 1935],
-    [1636, 1648, 1948, 1936],
-    [1648, 1798, 1948],
-    [1786, 1798, 1948, 1936],
-    [1637, 1649, 1949, 1937],
-    [1649, 1799, 1949],
-    [1787, 1799, 1949, 1937],
-    [2533, 2544, 2556, 2550],
-    [2208, 2340, 2550, 2556, 2346],
-    [2430, 2544, 2556],
-    [2202, 2346, 2556, 2430],
-    [2424, 2533, 2550],
-    [2190, 2340, 2550, 2424],
-    [2166, 2323, 2533, 2544, 2334],
-    [2184, 2334, 2544, 2430],
-    [2172, 2323, 2533, 2424],
-    [1950, 1962, 2202, 2430, 2184],
-    [1932, 1940, 2190, 2424, 2172],
-    [1975, 2076, 2346, 2208],
-    [2076, 2202, 2346],
-    [1968, 2070, 2340, 2208],
-    [2070, 2190, 2340],
-    [2064, 2184, 2334],
-    [1926, 2064, 2334, 2166],
-    [2058, 2172, 2323],
-    [1914, 2058, 2323, 2166],
-    [1968, 1975, 2208],
-    [1818, 1962, 2202, 2076],
-    [1802, 1940, 2190, 2070],
-    [1788, 1950, 2184, 2064],
-    [1776, 1932, 2172, 2058],
-    [1914, 1926, 2166],
-    [1536, 1675, 1975, 2076, 1818],
-    [1530, 1668, 1968, 2070, 1802],
-    [1668, 1675, 1975, 1968],
-    [1650, 1662, 1962, 1950],
-    [1662, 1818, 1962],
-    [1650, 1788, 1950],
-    [1640, 1802, 1940],
-    [1800, 1938, 1950],
-    [1788, 1938, 1950],
-    [1650, 1800, 1950],
-    [1638, 1800, 1938],
-    [1639, 1801, 1939],
-    [1800, 1801, 1939, 1938],
-    [1801, 1939, 1951],
-    [1789, 1939, 1951],
-    [1651, 1801, 1951],
-    [1651, 1789, 1951],
-    [1802, 1940, 1952],
-    [1790, 1940, 1952],
-    [1652, 1802, 1952],
-    [1652, 1790, 1952],
-    [1653, 1791, 1953],
-    [1652, 1653, 1953, 1952],
-    [1790, 1791, 1953, 1952],
-    [1803, 1941, 1953],
-    [1791, 1941, 1953],
-    [1653, 1803, 1953],
-    [1641, 1803, 1941],
-    [2535, 2545, 2558, 2551],
-    [2209, 2342, 2551, 2558, 2348],
-    [2431, 2545, 2558],
-    [2203, 2348, 2558, 2431],
-    [2426, 2535, 2551],
-    [2192, 2342, 2551, 2426],
-    [2167, 2325, 2535, 2545, 2335],
-    [2185, 2335, 2545, 2431],
-    [2174, 2325, 2535, 2426],
-    [1951, 1963, 2203, 2431, 2185],
-    [1934, 1942, 2192, 2426, 2174],
-    [1977, 2077, 2348, 2209],
-    [2077, 2203, 2348],
-    [1970, 2072, 2342, 2209],
-    [2072, 2192, 2342],
-    [2065, 2185, 2335],
-    [1927, 2065, 2335, 2167],
-    [2059, 2174, 2325],
-    [1916, 2059, 2325, 2167],
-    [1970, 1977, 2209],
-    [1819, 1963, 2203, 2077],
-    [1804, 1942, 2192, 2072],
-    [1789, 1951, 2185, 2065],
-    [1778, 1934, 2174, 2059],
-    [1916, 1927, 2167],
-    [1537, 1677, 1977, 2077, 1819],
-    [1532, 1670, 1970, 2072, 1804],
-    [1670, 1677, 1977, 1970],
-    [1651, 1663, 1963, 1951],
-    [1663, 1819, 1963],
-    [1642, 1804, 1942],
-    [2536, 2546, 2561, 2552],
-    [2210, 2341, 2552, 2561, 2351],
-    [2432, 2546, 2561],
-    [2204, 2351, 2561, 2432],
-    [2425, 2536, 2552],
-    [2191, 2341, 2552, 2425],
-    [2168, 2326, 2536, 2546, 2336],
-    [2186, 2336, 2546, 2432],
-    [2173, 2326, 2536, 2425],
-    [1956, 1964, 2204, 2432, 2186],
-    [1933, 1941, 2191, 2425, 2173],
-    [1978, 2078, 2351, 2210],
-    [2078, 2204, 2351],
-    [1969, 2071, 2341, 2210],
-    [2071, 2191, 2341],
-    [2066, 2186, 2336],
-    [1928, 2066, 2336, 2168],
-    [2060, 2173, 2326],
-    [1919, 2060, 2326, 2168],
-    [1969, 1978, 2210],
-    [1820, 1964, 2204, 2078],
-    [1803, 1941, 2191, 2071],
-    [1794, 1956, 2186, 2066],
-    [1777, 1933, 2173, 2060],
-    [1919, 1928, 2168],
-    [1538, 1678, 1978, 2078, 1820],
-    [1531, 1669, 1969, 2071, 1803],
-    [1669, 1678, 1978, 1969],
-    [1656, 1664, 1964, 1956],
-    [1664, 1820, 1964],
-    [1656, 1794, 1956],
-    [1804, 1942, 1954],
-    [1792, 1942, 1954],
-    [1654, 1804, 1954],
-    [1654, 1792, 1954],
-    [1655, 1793, 1955],
-    [1654, 1655, 1955, 1954],
-    [1792, 1793, 1955, 1954],
-    [1805, 1943, 1955],
-    [1793, 1943, 1955],
-    [1655, 1805, 1955],
-    [1643, 1805, 1943],
-    [1806, 1944, 1956],
-    [1794, 1944, 1956],
-    [1656, 1806, 1956],
-    [1644, 1806, 1944],
-    [1645, 1807, 1945],
-    [1806, 1807, 1945, 1944],
-    [1807, 1945, 1957],
-    [1795, 1945, 1957],
-    [1657, 1807, 1957],
-    [1657, 1795, 1957],
-    [2538, 2547, 2563, 2553],
-    [2211, 2343, 2553, 2563, 2353],
-    [2434, 2547, 2563],
-    [2206, 2353, 2563, 2434],
-    [2427, 2538, 2553],
-    [2193, 2343, 2553, 2427],
-    [2169, 2328, 2538, 2547, 2338],
-    [2188, 2338, 2547, 2434],
-    [2175, 2328, 2538, 2427],
-    [1958, 1966, 2206, 2434, 2188],
-    [1935, 1943, 2193, 2427, 2175],
-    [1980, 2079, 2353, 2211],
-    [2079, 2206, 2353],
-    [1971, 2073, 2343, 2211],
-    [2073, 2193, 2343],
-    [2068, 2188, 2338],
-    [1930, 2068, 2338, 2169],
-    [2061, 2175, 2328],
-    [1921, 2061, 2328, 2169],
-    [1971, 1980, 2211],
-    [1822, 1966, 2206, 2079],
-    [1805, 1943, 2193, 2073],
-    [1796, 1958, 2188, 2068],
-    [1779, 1935, 2175, 2061],
-    [1921, 1930, 2169],
-    [1539, 1680, 1980, 2079, 1822],
-    [1533, 1671, 1971, 2073, 1805],
-    [1671, 1680, 1980, 1971],
-    [1658, 1666, 1966, 1958],
-    [1666, 1822, 1966],
-    [1658, 1796, 1958],
-    [2541, 2548, 2564, 2554],
-    [2212, 2344, 2554, 2564, 2354],
-    [2433, 2548, 2564],
-    [2205, 2354, 2564, 2433],
-    [2428, 2541, 2554],
-    [2194, 2344, 2554, 2428],
-    [2170, 2331, 2541, 2548, 2337],
-    [2187, 2337, 2548, 2433],
-    [2176, 2331, 2541, 2428],
-    [1957, 1965, 2205, 2433, 2187],
-    [1936, 1948, 2194, 2428, 2176],
-    [1983, 2080, 2354, 2212],
-    [2080, 2205, 2354],
-    [1972, 2074, 2344, 2212],
-    [2074, 2194, 2344],
-    [2067, 2187, 2337],
-    [1929, 2067, 2337, 2170],
-    [2062, 2176, 2331],
-    [1922, 2062, 2331, 2170],
-    [1972, 1983, 2212],
-    [1821, 1965, 2205, 2080],
-    [1810, 1948, 2194, 2074],
-    [1795, 1957, 2187, 2067],
-    [1780, 1936, 2176, 2062],
-    [1922, 1929, 2170],
-    [1540, 1683, 1983, 2080, 1821],
-    [1534, 1672, 1972, 2074, 1810],
-    [1672, 1683, 1983, 1972],
-    [1657, 1665, 1965, 1957],
-    [1665, 1821, 1965],
-    [1648, 1810, 1948],
-    [1808, 1946, 1958],
-    [1796, 1946, 1958],
-    [1658, 1808, 1958],
-    [1646, 1808, 1946],
-    [1647, 1809, 1947],
-    [1808, 1809, 1947, 1946],
-    [1809, 1947, 1959],
-    [1797, 1947, 1959],
-    [1659, 1809, 1959],
-    [1659, 1797, 1959],
-    [1810, 1948, 1960],
-    [1798, 1948, 1960],
-    [1660, 1810, 1960],
-    [1660, 1798, 1960],
-    [1661, 1799, 1961],
-    [1660, 1661, 1961, 1960],
-    [1798, 1799, 1961, 1960],
-    [1811, 1949, 1961],
-    [1799, 1949, 1961],
-    [1661, 1811, 1961],
-    [1649, 1811, 1949],
-    [2543, 2549, 2566, 2555],
-    [2213, 2345, 2555, 2566, 2356],
-    [2435, 2549, 2566],
-    [2207, 2356, 2566, 2435],
-    [2429, 2543, 2555],
-    [2195, 2345, 2555, 2429],
-    [2171, 2333, 2543, 2549, 2339],
-    [2189, 2339, 2549, 2435],
-    [2177, 2333, 2543, 2429],
-    [1959, 1967, 2207, 2435, 2189],
-    [1937, 1949, 2195, 2429, 2177],
-    [1985, 2081, 2356, 2213],
-    [2081, 2207, 2356],
-    [1973, 2075, 2345, 2213],
-    [2075, 2195, 2345],
-    [2069, 2189, 2339],
-    [1931, 2069, 2339, 2171],
-    [2063, 2177, 2333],
-    [1924, 2063, 2333, 2171],
-    [1973, 1985, 2213],
-    [1823, 1967, 2207, 2081],
-    [1811, 1949, 2195, 2075],
-    [1797, 1959, 2189, 2069],
-    [1781, 1937, 2177, 2063],
-    [1924, 1931, 2171],
-    [1541, 1685, 1985, 2081, 1823],
-    [1535, 1673, 1973, 2075, 1811],
-    [1673, 1685, 1985, 1973],
-    [1659, 1667, 1967, 1959],
-    [1667, 1823, 1967],
-    [1662, 1812, 1962],
-    [1800, 1812, 1962, 1950],
-    [1663, 1813, 1963],
-    [1801, 1813, 1963, 1951],
-    [1664, 1814, 1964],
-    [1806, 1814, 1964, 1956],
-    [1665, 1815, 1965],
-    [1807, 1815, 1965, 1957],
-    [1666, 1816, 1966],
-    [1808, 1816, 1966, 1958],
-    [1667, 1817, 1967],
-    [1809, 1817, 1967, 1959],
-    [1818, 1962, 1974],
-    [1812, 1962, 1974],
-    [1674, 1818, 1974],
-    [1674, 1812, 1974],
-    [1819, 1963, 1976],
-    [1813, 1963, 1976],
-    [1676, 1819, 1976],
-    [1676, 1813, 1976],
-    [1820, 1964, 1979],
-    [1814, 1964, 1979],
-    [1679, 1820, 1979],
-    [1679, 1814, 1979],
-    [1821, 1965, 1981],
-    [1815, 1965, 1981],
-    [1681, 1821, 1981],
-    [1681, 1815, 1981],
-    [1822, 1966, 1982],
-    [1816, 1966, 1982],
-    [1682, 1822, 1982],
-    [1682, 1816, 1982],
-    [1823, 1967, 1984],
-    [1817, 1967, 1984],
-    [1684, 1823, 1984],
-    [1684, 1817, 1984],
-    [1686, 1824, 1986],
-    [1674, 1686, 1986, 1974],
-    [1812, 1824, 1986, 1974],
-    [1668, 1687, 1987, 1968],
-    [1675, 1687, 1987, 1975],
-    [1968, 1975, 1987],
-    [1688, 1824, 1988],
-    [1676, 1688, 1988, 1976],
-    [1813, 1824, 1988, 1976],
-    [1670, 1690, 1990, 1970],
-    [1677, 1690, 1990, 1977],
-    [1970, 1977, 1990],
-    [1669, 1689, 1989, 1969],
-    [1678, 1689, 1989, 1978],
-    [1969, 1978, 1989],
-    [1691, 1825, 1991],
-    [1679, 1691, 1991, 1979],
-    [1814, 1825, 1991, 1979],
-    [1671, 1692, 1992, 1971],
-    [1680, 1692, 1992, 1980],
-    [1971, 1980, 1992],
-    [1681, 1693, 1993, 1981],
-    [1693, 1825, 1993],
-    [1815, 1825, 1993, 1981],
-    [1694, 1826, 1994],
-    [1682, 1694, 1994, 1982],
-    [1816, 1826, 1994, 1982],
-    [1672, 1695, 1995, 1972],
-    [1683, 1695, 1995, 1983],
-    [1972, 1983, 1995],
-    [1696, 1826, 1996],
-    [1684, 1696, 1996, 1984],
-    [1817, 1826, 1996, 1984],
-    [1673, 1697, 1997, 1973],
-    [1685, 1697, 1997, 1985],
-    [1973, 1985, 1997],
-    [2569, 2571, 2581, 2580],
-    [2445, 2580, 2581],
-    [2217, 2349, 2571, 2581, 2365],
-    [2239, 2365, 2581, 2445],
-    [2215, 2347, 2569, 2580, 2364],
-    [2238, 2364, 2580, 2445],
-    [2436, 2569, 2571],
-    [2197, 2349, 2571, 2436],
-    [2196, 2347, 2569, 2436],
-    [1998, 1999, 2239, 2445, 2238],
-    [1952, 1953, 2197, 2436, 2196],
-    [2083, 2239, 2365],
-    [1989, 2083, 2365, 2217],
-    [2082, 2238, 2364],
-    [1987, 2082, 2364, 2215],
-    [1969, 2071, 2349, 2217],
-    [2071, 2197, 2349],
-    [1968, 2070, 2347, 2215],
-    [2070, 2196, 2347],
-    [1831, 1999, 2239, 2083],
-    [1830, 1998, 2238, 2082],
-    [1969, 1989, 2217],
-    [1968, 1987, 2215],
-    [1803, 1953, 2197, 2071],
-    [1802, 1952, 2196, 2070],
-    [1543, 1689, 1989, 2083, 1831],
-    [1542, 1687, 1987, 2082, 1830],
-    [1698, 1699, 1999, 1998],
-    [1699, 1831, 1999],
-    [1698, 1830, 1998],
-    [2572, 2574, 2583, 2582],
-    [2446, 2582, 2583],
-    [2220, 2352, 2574, 2583, 2367],
-    [2241, 2367, 2583, 2446],
-    [2218, 2350, 2572, 2582, 2366],
-    [2240, 2366, 2582, 2446],
-    [2437, 2572, 2574],
-    [2199, 2352, 2574, 2437],
-    [2198, 2350, 2572, 2437],
-    [2000, 2001, 2241, 2446, 2240],
-    [1954, 1955, 2199, 2437, 2198],
-    [2085, 2241, 2367],
-    [1992, 2085, 2367, 2220],
-    [2084, 2240, 2366],
-    [1990, 2084, 2366, 2218],
-    [1971, 2073, 2352, 2220],
-    [2073, 2199, 2352],
-    [1970, 2072, 2350, 2218],
-    [2072, 2198, 2350],
-    [1833, 2001, 2241, 2085],
-    [1832, 2000, 2240, 2084],
-    [1971, 1992, 2220],
-    [1970, 1990, 2218],
-    [1805, 1955, 2199, 2073],
-    [1804, 1954, 2198, 2072],
-    [1545, 1692, 1992, 2085, 1833],
-    [1544, 1690, 1990, 2084, 1832],
-    [1700, 1701, 2001, 2000],
-    [1701, 1833, 2001],
-    [1700, 1832, 2000],
-    [2577, 2579, 2585, 2584],
-    [2447, 2584, 2585],
-    [2225, 2357, 2579, 2585, 2369],
-    [2243, 2369, 2585, 2447],
-    [2223, 2355, 2577, 2584, 2368],
-    [2242, 2368, 2584, 2447],
-    [2438, 2577, 2579],
-    [2201, 2357, 2579, 2438],
-    [2200, 2355, 2577, 2438],
-    [2002, 2003, 2243, 2447, 2242],
-    [1960, 1961, 2201, 2438, 2200],
-    [2087, 2243, 2369],
-    [1997, 2087, 2369, 2225],
-    [2086, 2242, 2368],
-    [1995, 2086, 2368, 2223],
-    [1973, 2075, 2357, 2225],
-    [2075, 2201, 2357],
-    [1972, 2074, 2355, 2223],
-    [2074, 2200, 2355],
-    [1835, 2003, 2243, 2087],
-    [1834, 2002, 2242, 2086],
-    [1973, 1997, 2225],
-    [1972, 1995, 2223],
-    [1811, 1961, 2201, 2075],
-    [1810, 1960, 2200, 2074],
-    [1547, 1697, 1997, 2087, 1835],
-    [1546, 1695, 1995, 2086, 1834],
-    [1702, 1703, 2003, 2002],
-    [1703, 1835, 2003],
-    [1702, 1834, 2002],
-    [1827, 1986, 1988],
-    [1824, 1986, 1988],
-    [1688, 1827, 1988],
-    [1686, 1827, 1986],
-    [1828, 1991, 1993],
-    [1825, 1991, 1993],
-    [1693, 1828, 1993],
-    [1691, 1828, 1991],
-    [1829, 1994, 1996],
-    [1826, 1994, 1996],
-    [1696, 1829, 1996],
-    [1694, 1829, 1994],
-    [2586, 2595, 2613, 2596],
-    [2448, 2596, 2613],
-    [2250, 2376, 2595, 2613, 2382],
-    [2256, 2382, 2613, 2448],
-    [2226, 2358, 2586, 2596, 2370],
-    [2244, 2370, 2596, 2448],
-    [2439, 2586, 2595],
-    [2232, 2376, 2595, 2439],
-    [2214, 2358, 2586, 2439],
-    [2005, 2014, 2256, 2448, 2244],
-    [1974, 1986, 2232, 2439, 2214],
-    [2091, 2256, 2382],
-    [2013, 2091, 2382, 2250],
-    [2004, 2088, 2376, 2250],
-    [2088, 2232, 2376],
-    [2082, 2244, 2370],
-    [1987, 2082, 2370, 2226],
-    [1975, 2076, 2358, 2226],
-    [2076, 2214, 2358],
-    [1842, 2014, 2256, 2091],
-    [2004, 2013, 2250],
-    [1830, 2005, 2244, 2082],
-    [1827, 1986, 2232, 2088],
-    [1975, 1987, 2226],
-    [1818, 1974, 2214, 2076],
-    [1551, 1713, 2013, 2091, 1842],
-    [1548, 1704, 2004, 2088, 1827],
-    [1705, 1714, 2014, 2005],
-    [1714, 1842, 2014],
-    [1704, 1713, 2013, 2004],
-    [1705, 1830, 2005],
-    [2587, 2598, 2614, 2599],
-    [2449, 2599, 2614],
-    [2251, 2377, 2598, 2614, 2383],
-    [2257, 2383, 2614, 2449],
-    [2227, 2359, 2587, 2599, 2371],
-    [2246, 2371, 2599, 2449],
-    [2440, 2587, 2598],
-    [2233, 2377, 2598, 2440],
-    [2216, 2359, 2587, 2440],
-    [2007, 2016, 2257, 2449, 2246],
-    [1976, 1988, 2233, 2440, 2216],
-    [2092, 2257, 2383],
-    [2015, 2092, 2383, 2251],
-    [2004, 2088, 2377, 2251],
-    [2088, 2233, 2377],
-    [2084, 2246, 2371],
-    [1990, 2084, 2371, 2227],
-    [1977, 2077, 2359, 2227],
-    [2077, 2216, 2359],
-    [1844, 2016, 2257, 2092],
-    [2004, 2015, 2251],
-    [1832, 2007, 2246, 2084],
-    [1827, 1988, 2233, 2088],
-    [1977, 1990, 2227],
-    [1819, 1976, 2216, 2077],
-    [1552, 1715, 2015, 2092, 1844],
-    [1707, 1716, 2016, 2007],
-    [1716, 1844, 2016],
-    [1704, 1715, 2015, 2004],
-    [1707, 1832, 2007],
-    [2588, 2602, 2615, 2603],
-    [2252, 2378, 2603, 2615, 2384],
-    [2450, 2602, 2615],
-    [2258, 2384, 2615, 2450],
-    [2441, 2588, 2603],
-    [2234, 2378, 2603, 2441],
-    [2228, 2360, 2588, 2602, 2372],
-    [2245, 2372, 2602, 2450],
-    [2219, 2360, 2588, 2441],
-    [2006, 2017, 2258, 2450, 2245],
-    [1979, 1991, 2234, 2441, 2219],
-    [2093, 2258, 2384],
-    [2018, 2093, 2384, 2252],
-    [2009, 2089, 2378, 2252],
-    [2089, 2234, 2378],
-    [2083, 2245, 2372],
-    [1989, 2083, 2372, 2228],
-    [1978, 2078, 2360, 2228],
-    [2078, 2219, 2360],
-    [1847, 2017, 2258, 2093],
-    [2009, 2018, 2252],
-    [1831, 2006, 2245, 2083],
-    [1828, 1991, 2234, 2089],
-    [1978, 1989, 2228],
-    [1820, 1979, 2219, 2078],
-    [1553, 1718, 2018, 2093, 1847],
-    [1549, 1709, 2009, 2089, 1828],
-    [1709, 1718, 2018, 2009],
-    [1706, 1717, 2017, 2006],
-    [1717, 1847, 2017],
-    [1706, 1831, 2006],
-    [2589, 2605, 2616, 2607],
-    [2254, 2380, 2607, 2616, 2386],
-    [2451, 2605, 2616],
-    [2259, 2386, 2616, 2451],
-    [2443, 2589, 2607],
-    [2236, 2380, 2607, 2443],
-    [2229, 2361, 2589, 2605, 2373],
-    [2247, 2373, 2605, 2451],
-    [2222, 2361, 2589, 2443],
-    [2008, 2019, 2259, 2451, 2247],
-    [1982, 1994, 2236, 2443, 2222],
-    [2095, 2259, 2386],
-    [2021, 2095, 2386, 2254],
-    [2010, 2090, 2380, 2254],
-    [2090, 2236, 2380],
-    [2085, 2247, 2373],
-    [1992, 2085, 2373, 2229],
-    [1980, 2079, 2361, 2229],
-    [2079, 2222, 2361],
-    [1849, 2019, 2259, 2095],
-    [2010, 2021, 2254],
-    [1833, 2008, 2247, 2085],
-    [1829, 1994, 2236, 2090],
-    [1980, 1992, 2229],
-    [1822, 1982, 2222, 2079],
-    [1555, 1721, 2021, 2095, 1849],
-    [1550, 1710, 2010, 2090, 1829],
-    [1710, 1721, 2021, 2010],
-    [1708, 1719, 2019, 2008],
-    [1719, 1849, 2019],
-    [1708, 1833, 2008],
-    [2590, 2606, 2617, 2608],
-    [2452, 2608, 2617],
-    [2253, 2379, 2606, 2617, 2385],
-    [2260, 2385, 2617, 2452],
-    [2230, 2362, 2590, 2608, 2374],
-    [2248, 2374, 2608, 2452],
-    [2442, 2590, 2606],
-    [2235, 2379, 2606, 2442],
-    [2221, 2362, 2590, 2442],
-    [2011, 2022, 2260, 2452, 2248],
-    [1981, 1993, 2235, 2442, 2221],
-    [2094, 2260, 2385],
-    [2020, 2094, 2385, 2253],
-    [2009, 2089, 2379, 2253],
-    [2089, 2235, 2379],
-    [2086, 2248, 2374],
-    [1995, 2086, 2374, 2230],
-    [1983, 2080, 2362, 2230],
-    [2080, 2221, 2362],
-    [1850, 2022, 2260, 2094],
-    [2009, 2020, 2253],
-    [1834, 2011, 2248, 2086],
-    [1828, 1993, 2235, 2089],
-    [1983, 1995, 2230],
-    [1821, 1981, 2221, 2080],
-    [1554, 1720, 2020, 2094, 1850],
-    [1711, 1722, 2022, 2011],
-    [1722, 1850, 2022],
-    [1709, 1720, 2020, 2009],
-    [1711, 1834, 2011],
-    [2591, 2610, 2618, 2611],
-    [2453, 2611, 2618],
-    [2255, 2381, 2610, 2618, 2387],
-    [2261, 2387, 2618, 2453],
-    [2231, 2363, 2591, 2611, 2375],
-    [2249, 2375, 2611, 2453],
-    [2444, 2591, 2610],
-    [2237, 2381, 2610, 2444],
-    [2224, 2363, 2591, 2444],
-    [2012, 2024, 2261, 2453, 2249],
-    [1984, 1996, 2237, 2444, 2224],
-    [2096, 2261, 2387],
-    [2023, 2096, 2387, 2255],
-    [2010, 2090, 2381, 2255],
-    [2090, 2237, 2381],
-    [2087, 2249, 2375],
-    [1997, 2087, 2375, 2231],
-    [1985, 2081, 2363, 2231],
-    [2081, 2224, 2363],
-    [1852, 2024, 2261, 2096],
-    [2010, 2023, 2255],
-    [1835, 2012, 2249, 2087],
-    [1829, 1996, 2237, 2090],
-    [1985, 1997, 2231],
-    [1823, 1984, 2224, 2081],
-    [1556, 1723, 2023, 2096, 1852],
-    [1712, 1724, 2024, 2012],
-    [1724, 1852, 2024],
-    [1710, 1723, 2023, 2010],
-    [1712, 1835, 2012],
-    [1836, 1998, 2005],
-    [1830, 1998, 2005],
-    [1705, 1836, 2005],
-    [1698, 1836, 1998],
-    [1837, 1999, 2006],
-    [1831, 1999, 2006],
-    [1706, 1837, 2006],
-    [1699, 1837, 1999],
-    [1838, 2000, 2007],
-    [1832, 2000, 2007],
-    [1707, 1838, 2007],
-    [1700, 1838, 2000],
-    [1839, 2001, 2008],
-    [1833, 2001, 2008],
-    [1708, 1839, 2008],
-    [1701, 1839, 2001],
-    [1840, 2002, 2011],
-    [1834, 2002, 2011],
-    [1711, 1840, 2011],
-    [1702, 1840, 2002],
-    [1841, 2003, 2012],
-    [1835, 2003, 2012],
-    [1712, 1841, 2012],
-    [1703, 1841, 2003],
-    [1836, 1837, 1999, 1998],
-    [1838, 1839, 2001, 2000],
-    [1840, 1841, 2003, 2002],
-    [1713, 1715, 2015, 2013],
-    [2004, 2013, 2015],
-    [1714, 1843, 2014],
-    [1836, 1843, 2014, 2005],
-    [1717, 1845, 2017],
-    [1837, 1845, 2017, 2006],
-    [1716, 1846, 2016],
-    [1838, 1846, 2016, 2007],
-    [1719, 1848, 2019],
-    [1839, 1848, 2019, 2008],
-    [1718, 1720, 2020, 2018],
-    [2009, 2018, 2020],
-    [1721, 1723, 2023, 2021],
-    [2010, 2021, 2023],
-    [1722, 1851, 2022],
-    [1840, 1851, 2022, 2011],
-    [1724, 1853, 2024],
-    [1841, 1853, 2024, 2012],
-    [1843, 2014, 2025],
-    [1842, 2014, 2025],
-    [1725, 1843, 2025],
-    [1725, 1842, 2025],
-    [1846, 2016, 2026],
-    [1844, 2016, 2026],
-    [1726, 1846, 2026],
-    [1726, 1844, 2026],
-    [1847, 2017, 2027],
-    [1845, 2017, 2027],
-    [1727, 1847, 2027],
-    [1727, 1845, 2027],
-    [1849, 2019, 2028],
-    [1848, 2019, 2028],
-    [1728, 1849, 2028],
-    [1728, 1848, 2028],
-    [1851, 2022, 2029],
-    [1850, 2022, 2029],
-    [1729, 1851, 2029],
-    [1729, 1850, 2029],
-    [1853, 2024, 2030],
-    [1852, 2024, 2030],
-    [1730, 1853, 2030],
-    [1730, 1852, 2030],
-    [1725, 1731, 2031, 2025],
-    [1731, 1854, 2031],
-    [1843, 1854, 2031, 2025],
-    [1732, 1854, 2032],
-    [1727, 1732, 2032, 2027],
-    [1845, 1854, 2032, 2027],
-    [1726, 1733, 2033, 2026],
-    [1733, 1855, 2033],
-    [1846, 1855, 2033, 2026],
-    [1728, 1734, 2034, 2028],
-    [1734, 1855, 2034],
-    [1848, 1855, 2034, 2028],
-    [1735, 1856, 2035],
-    [1729, 1735, 2035, 2029],
-    [1851, 1856, 2035, 2029],
-    [1730, 1736, 2036, 2030],
-    [1736, 1856, 2036],
-    [1853, 1856, 2036, 2030],
-    [1857, 2031, 2032],
-    [1854, 2031, 2032],
-    [1732, 1857, 2032],
-    [1731, 1857, 2031],
-    [1858, 2033, 2034],
-    [1855, 2033, 2034],
-    [1734, 1858, 2034],
-    [1733, 1858, 2033],
-    [1859, 2035, 2036],
-    [1856, 2035, 2036],
-    [1736, 1859, 2036],
-    [1735, 1859, 2035],
-    [2625, 2626, 2632, 2631],
-    [2277, 2394, 2631, 2632, 2395],
-    [2455, 2626, 2632],
-    [2273, 2395, 2632, 2455],
-    [2454, 2625, 2631],
-    [2271, 2394, 2631, 2454],
-    [2262, 2388, 2625, 2626, 2389],
-    [2266, 2389, 2626, 2455],
-    [2265, 2388, 2625, 2454],
-    [2026, 2033, 2273, 2455, 2266],
-    [2025, 2031, 2271, 2454, 2265],
-    [2038, 2098, 2395, 2277],
-    [2098, 2273, 2395],
-    [2037, 2097, 2394, 2277],
-    [2097, 2271, 2394],
-    [2092, 2266, 2389],
-    [2015, 2092, 2389, 2262],
-    [2091, 2265, 2388],
-    [2013, 2091, 2388, 2262],
-    [2037, 2038, 2277],
-    [1858, 2033, 2273, 2098],
-    [1857, 2031, 2271, 2097],
-    [1844, 2026, 2266, 2092],
-    [1842, 2025, 2265, 2091],
-    [2013, 2015, 2262],
-    [1558, 1738, 2038, 2098, 1858],
-    [1557, 1737, 2037, 2097, 1857],
-    [1737, 1738, 2038, 2037],
-    [2627, 2628, 2636, 2635],
-    [2278, 2396, 2635, 2636, 2398],
-    [2458, 2628, 2636],
-    [2275, 2398, 2636, 2458],
-    [2456, 2627, 2635],
-    [2272, 2396, 2635, 2456],
-    [2263, 2390, 2627, 2628, 2391],
-    [2269, 2391, 2628, 2458],
-    [2267, 2390, 2627, 2456],
-    [2029, 2035, 2275, 2458, 2269],
-    [2027, 2032, 2272, 2456, 2267],
-    [2039, 2099, 2398, 2278],
-    [2099, 2275, 2398],
-    [2037, 2097, 2396, 2278],
-    [2097, 2272, 2396],
-    [2094, 2269, 2391],
-    [2020, 2094, 2391, 2263],
-    [2093, 2267, 2390],
-    [2018, 2093, 2390, 2263],
-    [2037, 2039, 2278],
-    [1859, 2035, 2275, 2099],
-    [1857, 2032, 2272, 2097],
-    [1850, 2029, 2269, 2094],
-    [1847, 2027, 2267, 2093],
-    [2018, 2020, 2263],
-    [1559, 1739, 2039, 2099, 1859],
-    [1737, 1739, 2039, 2037],
-    [2629, 2630, 2638, 2637],
-    [2279, 2397, 2637, 2638, 2399],
-    [2459, 2630, 2638],
-    [2276, 2399, 2638, 2459],
-    [2457, 2629, 2637],
-    [2274, 2397, 2637, 2457],
-    [2264, 2392, 2629, 2630, 2393],
-    [2270, 2393, 2630, 2459],
-    [2268, 2392, 2629, 2457],
-    [2030, 2036, 2276, 2459, 2270],
-    [2028, 2034, 2274, 2457, 2268],
-    [2039, 2099, 2399, 2279],
-    [2099, 2276, 2399],
-    [2038, 2098, 2397, 2279],
-    [2098, 2274, 2397],
-    [2096, 2270, 2393],
-    [2023, 2096, 2393, 2264],
-    [2095, 2268, 2392],
-    [2021, 2095, 2392, 2264],
-    [2038, 2039, 2279],
-    [1859, 2036, 2276, 2099],
-    [1858, 2034, 2274, 2098],
-    [1852, 2030, 2270, 2096],
-    [1849, 2028, 2268, 2095],
-    [2021, 2023, 2264],
-    [1738, 1739, 2039, 2038],
-    [2037, 2038, 2039],
-    [1863, 1864, 2104, 2103],
-    [2040, 2103, 2104],
-    [1865, 1866, 2106, 2105],
-    [2041, 2105, 2106],
-    [1867, 1868, 2108, 2107],
-    [2042, 2107, 2108],
-    [1869, 1875, 2118, 2109],
-    [2043, 2109, 2118],
-    [1870, 1877, 2119, 2110],
-    [2045, 2110, 2119],
-    [2044, 2111, 2120],
-    [1871, 1880, 2120, 2111],
-    [1872, 1882, 2121, 2112],
-    [2046, 2112, 2121],
-    [1873, 1883, 2122, 2113],
-    [2047, 2113, 2122],
-    [1874, 1885, 2123, 2114],
-    [2048, 2114, 2123],
-    [1887, 1896, 2136, 2130],
-    [2052, 2130, 2136],
-    [1888, 1897, 2137, 2131],
-    [2053, 2131, 2137],
-    [1891, 1898, 2138, 2132],
-    [2054, 2132, 2138],
-    [1892, 1899, 2139, 2133],
-    [2055, 2133, 2139],
-    [1893, 1900, 2140, 2134],
-    [2056, 2134, 2140],
-    [2057, 2135, 2141],
-    [1894, 1901, 2141, 2135],
-    [2049, 2142, 2143],
-    [1903, 1905, 2143, 2142],
-    [2050, 2144, 2145],
-    [1906, 1908, 2145, 2144],
-    [2051, 2146, 2147],
-    [1911, 1913, 2147, 2146],
-    [1915, 1932, 2172, 2155],
-    [2058, 2155, 2172],
-    [1917, 1933, 2173, 2157],
-    [2060, 2157, 2173],
-    [2059, 2158, 2174],
-    [1918, 1934, 2174, 2158],
-    [2061, 2160, 2175],
-    [1920, 1935, 2175, 2160],
-    [1923, 1936, 2176, 2163],
-    [2062, 2163, 2176],
-    [1925, 1937, 2177, 2165],
-    [2063, 2165, 2177],
-    [1938, 1950, 2184, 2178],
-    [2064, 2178, 2184],
-    [1939, 1951, 2185, 2179],
-    [2065, 2179, 2185],
-    [2066, 2180, 2186],
-    [1944, 1956, 2186, 2180],
-    [2067, 2181, 2187],
-    [1945, 1957, 2187, 2181],
-    [1946, 1958, 2188, 2182],
-    [2068, 2182, 2188],
-    [1947, 1959, 2189, 2183],
-    [2069, 2183, 2189],
-    [1940, 1952, 2196, 2190],
-    [2070, 2190, 2196],
-    [1941, 1953, 2197, 2191],
-    [2071, 2191, 2197],
-    [2072, 2192, 2198],
-    [1942, 1954, 2198, 2192],
-    [2073, 2193, 2199],
-    [1943, 1955, 2199, 2193],
-    [1948, 1960, 2200, 2194],
-    [2074, 2194, 2200],
-    [1949, 1961, 2201, 2195],
-    [2075, 2195, 2201],
-    [1962, 1974, 2214, 2202],
-    [2076, 2202, 2214],
-    [1963, 1976, 2216, 2203],
-    [2077, 2203, 2216],
-    [2078, 2204, 2219],
-    [1964, 1979, 2219, 2204],
-    [2080, 2205, 2221],
-    [1965, 1981, 2221, 2205],
-    [1966, 1982, 2222, 2206],
-    [2079, 2206, 2222],
-    [1967, 1984, 2224, 2207],
-    [2081, 2207, 2224],
-    [2088, 2232, 2233],
-    [1986, 1988, 2233, 2232],
-    [2089, 2234, 2235],
-    [1991, 1993, 2235, 2234],
-    [2090, 2236, 2237],
-    [1994, 1996, 2237, 2236],
-    [2082, 2238, 2244],
-    [1998, 2005, 2244, 2238],
-    [1999, 2006, 2245, 2239],
-    [2083, 2239, 2245],
-    [2000, 2007, 2246, 2240],
-    [2084, 2240, 2246],
-    [2001, 2008, 2247, 2241],
-    [2085, 2241, 2247],
-    [2002, 2011, 2248, 2242],
-    [2086, 2242, 2248],
-    [2003, 2012, 2249, 2243],
-    [2087, 2243, 2249],
-    [2014, 2025, 2265, 2256],
-    [2091, 2256, 2265],
-    [2016, 2026, 2266, 2257],
-    [2092, 2257, 2266],
-    [2017, 2027, 2267, 2258],
-    [2093, 2258, 2267],
-    [2095, 2259, 2268],
-    [2019, 2028, 2268, 2259],
-    [2022, 2029, 2269, 2260],
-    [2094, 2260, 2269],
-    [2024, 2030, 2270, 2261],
-    [2096, 2261, 2270],
-    [2031, 2032, 2272, 2271],
-    [2097, 2271, 2272],
-    [2033, 2034, 2274, 2273],
-    [2098, 2273, 2274],
-    [2035, 2036, 2276, 2275],
-    [2099, 2275, 2276],
-    [2100, 2101, 2102],
-    [1862, 2101, 2102],
-    [1861, 2100, 2102],
-    [1860, 2100, 2101],
-    [2115, 2124, 2125],
-    [1889, 2124, 2125],
-    [1878, 2115, 2125],
-    [1876, 2115, 2124],
-    [2116, 2126, 2127],
-    [1890, 2126, 2127],
-    [1881, 2116, 2127],
-    [1879, 2116, 2126],
-    [2117, 2128, 2129],
-    [1895, 2128, 2129],
-    [1886, 2117, 2129],
-    [1884, 2117, 2128],
-    [2148, 2154, 2166],
-    [1926, 2154, 2166],
-    [1914, 2148, 2166],
-    [1902, 2148, 2154],
-    [2149, 2156, 2167],
-    [1927, 2156, 2167],
-    [1916, 2149, 2167],
-    [1904, 2149, 2156],
-    [2150, 2159, 2168],
-    [1928, 2159, 2168],
-    [1919, 2150, 2168],
-    [1907, 2150, 2159],
-    [2151, 2162, 2169],
-    [1930, 2162, 2169],
-    [1921, 2151, 2169],
-    [1910, 2151, 2162],
-    [2152, 2161, 2170],
-    [1929, 2161, 2170],
-    [1922, 2152, 2170],
-    [1909, 2152, 2161],
-    [2153, 2164, 2171],
-    [1931, 2164, 2171],
-    [1924, 2153, 2171],
-    [1912, 2153, 2164],
-    [2208, 2215, 2226],
-    [1987, 2215, 2226],
-    [1975, 2208, 2226],
-    [1968, 2208, 2215],
-    [2209, 2218, 2227],
-    [1990, 2218, 2227],
-    [1977, 2209, 2227],
-    [1970, 2209, 2218],
-    [2210, 2217, 2228],
-    [1989, 2217, 2228],
-    [1978, 2210, 2228],
-    [1969, 2210, 2217],
-    [2211, 2220, 2229],
-    [1992, 2220, 2229],
-    [1980, 2211, 2229],
-    [1971, 2211, 2220],
-    [2212, 2223, 2230],
-    [1995, 2223, 2230],
-    [1983, 2212, 2230],
-    [1972, 2212, 2223],
-    [2213, 2225, 2231],
-    [1997, 2225, 2231],
-    [1985, 2213, 2231],
-    [1973, 2213, 2225],
-    [2250, 2251, 2262],
-    [2015, 2251, 2262],
-    [2013, 2250, 2262],
-    [2004, 2250, 2251],
-    [2252, 2253, 2263],
-    [2020, 2253, 2263],
-    [2018, 2252, 2263],
-    [2009, 2252, 2253],
-    [2254, 2255, 2264],
-    [2023, 2255, 2264],
-    [2021, 2254, 2264],
-    [2010, 2254, 2255],
-    [2277, 2278, 2279],
-    [2039, 2278, 2279],
-    [2038, 2277, 2279],
-    [2037, 2277, 2278],
-    [2040, 2280, 2281],
-    [2100, 2101, 2281, 2280],
-    [2041, 2282, 2284],
-    [2100, 2102, 2284, 2282],
-    [2042, 2283, 2285],
-    [2101, 2102, 2285, 2283],
-    [2043, 2286, 2292],
-    [2115, 2124, 2292, 2286],
-    [2044, 2287, 2293],
-    [2115, 2125, 2293, 2287],
-    [2045, 2288, 2294],
-    [2116, 2126, 2294, 2288],
-    [2046, 2289, 2295],
-    [2116, 2127, 2295, 2289],
-    [2047, 2290, 2296],
-    [2117, 2128, 2296, 2290],
-    [2048, 2291, 2297],
-    [2117, 2129, 2297, 2291],
-    [2049, 2298, 2299],
-    [2124, 2125, 2299, 2298],
-    [2050, 2300, 2301],
-    [2126, 2127, 2301, 2300],
-    [2051, 2302, 2303],
-    [2128, 2129, 2303, 2302],
-    [2052, 2304, 2310],
-    [2148, 2154, 2310, 2304],
-    [2053, 2305, 2311],
-    [2149, 2156, 2311, 2305],
-    [2054, 2306, 2312],
-    [2150, 2159, 2312, 2306],
-    [2055, 2308, 2313],
-    [2152, 2161, 2313, 2308],
-    [2056, 2307, 2314],
-    [2151, 2162, 2314, 2307],
-    [2057, 2309, 2315],
-    [2153, 2164, 2315, 2309],
-    [2058, 2316, 2323],
-    [2148, 2166, 2323, 2316],
-    [2059, 2317, 2325],
-    [2149, 2167, 2325, 2317],
-    [2060, 2318, 2326],
-    [2150, 2168, 2326, 2318],
-    [2061, 2319, 2328],
-    [2151, 2169, 2328, 2319],
-    [2062, 2320, 2331],
-    [2152, 2170, 2331, 2320],
-    [2063, 2321, 2333],
-    [2153, 2171, 2333, 2321],
-    [2064, 2322, 2334],
-    [2154, 2166, 2334, 2322],
-    [2065, 2324, 2335],
-    [2156, 2167, 2335, 2324],
-    [2066, 2327, 2336],
-    [2159, 2168, 2336, 2327],
-    [2067, 2329, 2337],
-    [2161, 2170, 2337, 2329],
-    [2068, 2330, 2338],
-    [2162, 2169, 2338, 2330],
-    [2069, 2332, 2339],
-    [2164, 2171, 2339, 2332],
-    [2070, 2340, 2347],
-    [2208, 2215, 2347, 2340],
-    [2071, 2341, 2349],
-    [2210, 2217, 2349, 2341],
-    [2072, 2342, 2350],
-    [2209, 2218, 2350, 2342],
-    [2073, 2343, 2352],
-    [2211, 2220, 2352, 2343],
-    [2074, 2344, 2355],
-    [2212, 2223, 2355, 2344],
-    [2075, 2345, 2357],
-    [2213, 2225, 2357, 2345],
-    [2076, 2346, 2358],
-    [2208, 2226, 2358, 2346],
-    [2077, 2348, 2359],
-    [2209, 2227, 2359, 2348],
-    [2078, 2351, 2360],
-    [2210, 2228, 2360, 2351],
-    [2079, 2353, 2361],
-    [2211, 2229, 2361, 2353],
-    [2080, 2354, 2362],
-    [2212, 2230, 2362, 2354],
-    [2081, 2356, 2363],
-    [2213, 2231, 2363, 2356],
-    [2082, 2364, 2370],
-    [2215, 2226, 2370, 2364],
-    [2083, 2365, 2372],
-    [2217, 2228, 2372, 2365],
-    [2084, 2366, 2371],
-    [2218, 2227, 2371, 2366],
-    [2085, 2367, 2373],
-    [2220, 2229, 2373, 2367],
-    [2086, 2368, 2374],
-    [2223, 2230, 2374, 2368],
-    [2087, 2369, 2375],
-    [2225, 2231, 2375, 2369],
-    [2088, 2376, 2377],
-    [2250, 2251, 2377, 2376],
-    [2089, 2378, 2379],
-    [2252, 2253, 2379, 2378],
-    [2090, 2380, 2381],
-    [2254, 2255, 2381, 2380],
-    [2091, 2382, 2388],
-    [2250, 2262, 2388, 2382],
-    [2092, 2383, 2389],
-    [2251, 2262, 2389, 2383],
-    [2093, 2384, 2390],
-    [2252, 2263, 2390, 2384],
-    [2094, 2385, 2391],
-    [2253, 2263, 2391, 2385],
-    [2095, 2386, 2392],
-    [2254, 2264, 2392, 2386],
-    [2096, 2387, 2393],
-    [2255, 2264, 2393, 2387],
-    [2097, 2394, 2396],
-    [2277, 2278, 2396, 2394],
-    [2098, 2395, 2397],
-    [2277, 2279, 2397, 2395],
-    [2099, 2398, 2399],
-    [2278, 2279, 2399, 2398],
-    [2280, 2281, 2460],
-    [2104, 2281, 2460],
-    [2103, 2280, 2460],
-    [2103, 2104, 2460],
-    [2282, 2284, 2465],
-    [2106, 2284, 2465],
-    [2105, 2282, 2465],
-    [2105, 2106, 2465],
-    [2283, 2285, 2466],
-    [2108, 2285, 2466],
-    [2107, 2283, 2466],
-    [2107, 2108, 2466],
-    [2286, 2292, 2475],
-    [2118, 2292, 2475],
-    [2109, 2286, 2475],
-    [2109, 2118, 2475],
-    [2288, 2294, 2476],
-    [2119, 2294, 2476],
-    [2110, 2288, 2476],
-    [2110, 2119, 2476],
-    [2287, 2293, 2477],
-    [2120, 2293, 2477],
-    [2111, 2287, 2477],
-    [2111, 2120, 2477],
-    [2289, 2295, 2478],
-    [2121, 2295, 2478],
-    [2112, 2289, 2478],
-    [2112, 2121, 2478],
-    [2290, 2296, 2479],
-    [2122, 2296, 2479],
-    [2113, 2290, 2479],
-    [2113, 2122, 2479],
-    [2291, 2297, 2480],
-    [2123, 2297, 2480],
-    [2114, 2291, 2480],
-    [2114, 2123, 2480],
-    [2304, 2310, 2487],
-    [2136, 2310, 2487],
-    [2130, 2304, 2487],
-    [2130, 2136, 2487],
-    [2305, 2311, 2490],
-    [2137, 2311, 2490],
-    [2131, 2305, 2490],
-    [2131, 2137, 2490],
-    [2298, 2299, 2505],
-    [2143, 2299, 2505],
-    [2142, 2298, 2505],
-    [2142, 2143, 2505],
-    [2300, 2301, 2506],
-    [2145, 2301, 2506],
-    [2144, 2300, 2506],
-    [2144, 2145, 2506],
-    [2306, 2312, 2495],
-    [2138, 2312, 2495],
-    [2132, 2306, 2495],
-    [2132, 2138, 2495],
-    [2308, 2313, 2498],
-    [2139, 2313, 2498],
-    [2133, 2308, 2498],
-    [2133, 2139, 2498],
-    [2307, 2314, 2499],
-    [2140, 2314, 2499],
-    [2134, 2307, 2499],
-    [2134, 2140, 2499],
-    [2309, 2315, 2502],
-    [2141, 2315, 2502],
-    [2135, 2309, 2502],
-    [2135, 2141, 2502],
-    [2302, 2303, 2507],
-    [2147, 2303, 2507],
-    [2146, 2302, 2507],
-    [2146, 2147, 2507],
-    [2316, 2323, 2521],
-    [2172, 2323, 2521],
-    [2155, 2316, 2521],
-    [2155, 2172, 2521],
-    [2317, 2325, 2524],
-    [2174, 2325, 2524],
-    [2158, 2317, 2524],
-    [2158, 2174, 2524],
-    [2318, 2326, 2523],
-    [2173, 2326, 2523],
-    [2157, 2318, 2523],
-    [2157, 2173, 2523],
-    [2319, 2328, 2526],
-    [2175, 2328, 2526],
-    [2160, 2319, 2526],
-    [2160, 2175, 2526],
-    [2320, 2331, 2529],
-    [2176, 2331, 2529],
-    [2163, 2320, 2529],
-    [2163, 2176, 2529],
-    [2321, 2333, 2531],
-    [2177, 2333, 2531],
-    [2165, 2321, 2531],
-    [2165, 2177, 2531],
-    [2322, 2334, 2532],
-    [2184, 2334, 2532],
-    [2178, 2322, 2532],
-    [2178, 2184, 2532],
-    [2324, 2335, 2534],
-    [2185, 2335, 2534],
-    [2179, 2324, 2534],
-    [2179, 2185, 2534],
-    [2327, 2336, 2537],
-    [2186, 2336, 2537],
-    [2180, 2327, 2537],
-    [2180, 2186, 2537],
-    [2329, 2337, 2539],
-    [2187, 2337, 2539],
-    [2181, 2329, 2539],
-    [2181, 2187, 2539],
-    [2330, 2338, 2540],
-    [2188, 2338, 2540],
-    [2182, 2330, 2540],
-    [2182, 2188, 2540],
-    [2332, 2339, 2542],
-    [2189, 2339, 2542],
-    [2183, 2332, 2542],
-    [2183, 2189, 2542],
-    [2340, 2347, 2557],
-    [2196, 2347, 2557],
-    [2190, 2340, 2557],
-    [2190, 2196, 2557],
-    [2341, 2349, 2559],
-    [2197, 2349, 2559],
-    [2191, 2341, 2559],
-    [2191, 2197, 2559],
-    [2342, 2350, 2560],
-    [2198, 2350, 2560],
-    [2192, 2342, 2560],
-    [2192, 2198, 2560],
-    [2343, 2352, 2562],
-    [2199, 2352, 2562],
-    [2193, 2343, 2562],
-    [2193, 2199, 2562],
-    [2344, 2355, 2565],
-    [2200, 2355, 2565],
-    [2194, 2344, 2565],
-    [2194, 2200, 2565],
-    [2345, 2357, 2567],
-    [2201, 2357, 2567],
-    [2195, 2345, 2567],
-    [2195, 2201, 2567],
-    [2346, 2358, 2568],
-    [2214, 2358, 2568],
-    [2202, 2346, 2568],
-    [2202, 2214, 2568],
-    [2348, 2359, 2570],
-    [2216, 2359, 2570],
-    [2203, 2348, 2570],
-    [2203, 2216, 2570],
-    [2351, 2360, 2573],
-    [2219, 2360, 2573],
-    [2204, 2351, 2573],
-    [2204, 2219, 2573],
-    [2353, 2361, 2576],
-    [2222, 2361, 2576],
-    [2206, 2353, 2576],
-    [2206, 2222, 2576],
-    [2354, 2362, 2575],
-    [2221, 2362, 2575],
-    [2205, 2354, 2575],
-    [2205, 2221, 2575],
-    [2356, 2363, 2578],
-    [2224, 2363, 2578],
-    [2207, 2356, 2578],
-    [2207, 2224, 2578],
-    [2376, 2377, 2592],
-    [2233, 2377, 2592],
-    [2232, 2376, 2592],
-    [2232, 2233, 2592],
-    [2364, 2370, 2597],
-    [2244, 2370, 2597],
-    [2238, 2364, 2597],
-    [2238, 2244, 2597],
-    [2365, 2372, 2600],
-    [2245, 2372, 2600],
-    [2239, 2365, 2600],
-    [2239, 2245, 2600],
-    [2366, 2371, 2601],
-    [2246, 2371, 2601],
-    [2240, 2366, 2601],
-    [2240, 2246, 2601],
-    [2367, 2373, 2604],
-    [2247, 2373, 2604],
-    [2241, 2367, 2604],
-    [2241, 2247, 2604],
-    [2378, 2379, 2593],
-    [2235, 2379, 2593],
-    [2234, 2378, 2593],
-    [2234, 2235, 2593],
-    [2380, 2381, 2594],
-    [2237, 2381, 2594],
-    [2236, 2380, 2594],
-    [2236, 2237, 2594],
-    [2368, 2374, 2609],
-    [2248, 2374, 2609],
-    [2242, 2368, 2609],
-    [2242, 2248, 2609],
-    [2369, 2375, 2612],
-    [2249, 2375, 2612],
-    [2243, 2369, 2612],
-    [2243, 2249, 2612],
-    [2382, 2388, 2619],
-    [2265, 2388, 2619],
-    [2256, 2382, 2619],
-    [2256, 2265, 2619],
-    [2383, 2389, 2620],
-    [2266, 2389, 2620],
-    [2257, 2383, 2620],
-    [2257, 2266, 2620],
-    [2384, 2390, 2621],
-    [2267, 2390, 2621],
-    [2258, 2384, 2621],
-    [2258, 2267, 2621],
-    [2386, 2392, 2622],
-    [2268, 2392, 2622],
-    [2259, 2386, 2622],
-    [2259, 2268, 2622],
-    [2385, 2391, 2623],
-    [2269, 2391, 2623],
-    [2260, 2385, 2623],
-    [2260, 2269, 2623],
-    [2387, 2393, 2624],
-    [2270, 2393, 2624],
-    [2261, 2387, 2624],
-    [2261, 2270, 2624],
-    [2394, 2396, 2633],
-    [2272, 2396, 2633],
-    [2271, 2394, 2633],
-    [2271, 2272, 2633],
-    [2395, 2397, 2634],
-    [2274, 2397, 2634],
-    [2273, 2395, 2634],
-    [2273, 2274, 2634],
-    [2398, 2399, 2639],
-    [2276, 2399, 2639],
-    [2275, 2398, 2639],
-    [2275, 2276, 2639],
-    [2103, 2400, 2640, 2460],
-    [2400, 2461, 2640],
-    [2280, 2460, 2640, 2461],
-    [2401, 2463, 2641],
-    [2281, 2460, 2641, 2463],
-    [2104, 2401, 2641, 2460],
-    [2105, 2402, 2642, 2465],
-    [2282, 2462, 2642, 2465],
-    [2402, 2462, 2642],
-    [2107, 2403, 2643, 2466],
-    [2403, 2464, 2643],
-    [2283, 2464, 2643, 2466],
-    [2106, 2404, 2644, 2465],
-    [2284, 2465, 2644, 2467],
-    [2404, 2467, 2644],
-    [2108, 2405, 2645, 2466],
-    [2405, 2468, 2645],
-    [2285, 2466, 2645, 2468],
-    [2109, 2400, 2646, 2475],
-    [2286, 2469, 2646, 2475],
-    [2400, 2469, 2646],
-    [2110, 2401, 2647, 2476],
-    [2401, 2471, 2647],
-    [2288, 2471, 2647, 2476],
-    [2111, 2402, 2648, 2477],
-    [2402, 2470, 2648],
-    [2287, 2470, 2648, 2477],
-    [2112, 2403, 2649, 2478],
-    [2403, 2472, 2649],
-    [2289, 2472, 2649, 2478],
-    [2113, 2404, 2650, 2479],
-    [2404, 2473, 2650],
-    [2290, 2473, 2650, 2479],
-    [2114, 2405, 2651, 2480],
-    [2405, 2474, 2651],
-    [2291, 2474, 2651, 2480],
-    [2118, 2406, 2652, 2475],
-    [2292, 2475, 2652, 2481],
-    [2406, 2481, 2652],
-    [2119, 2407, 2653, 2476],
-    [2407, 2482, 2653],
-    [2294, 2476, 2653, 2482],
-    [2408, 2483, 2654],
-    [2293, 2477, 2654, 2483],
-    [2120, 2408, 2654, 2477],
-    [2121, 2409, 2655, 2478],
-    [2409, 2484, 2655],
-    [2295, 2478, 2655, 2484],
-    [2122, 2410, 2656, 2479],
-    [2410, 2485, 2656],
-    [2296, 2479, 2656, 2485],
-    [2123, 2411, 2657, 2480],
-    [2297, 2480, 2657, 2486],
-    [2411, 2486, 2657],
-    [2130, 2406, 2658, 2487],
-    [2406, 2488, 2658],
-    [2304, 2487, 2658, 2488],
-    [2131, 2407, 2659, 2490],
-    [2407, 2491, 2659],
-    [2305, 2490, 2659, 2491],
-    [2132, 2408, 2660, 2495],
-    [2408, 2494, 2660],
-    [2306, 2494, 2660, 2495],
-    [2134, 2409, 2661, 2499],
-    [2307, 2497, 2661, 2499],
-    [2409, 2497, 2661],
-    [2133, 2410, 2662, 2498],
-    [2410, 2500, 2662],
-    [2308, 2498, 2662, 2500],
-    [2135, 2411, 2663, 2502],
-    [2411, 2503, 2663],
-    [2309, 2502, 2663, 2503],
-    [2412, 2514, 2664],
-    [2310, 2487, 2664, 2514],
-    [2136, 2412, 2664, 2487],
-    [2137, 2412, 2665, 2490],
-    [2412, 2515, 2665],
-    [2311, 2490, 2665, 2515],
-    [2142, 2415, 2670, 2505],
-    [2415, 2489, 2670],
-    [2298, 2489, 2670, 2505],
-    [2416, 2492, 2671],
-    [2299, 2492, 2671, 2505],
-    [2143, 2416, 2671, 2505],
-    [2144, 2417, 2672, 2506],
-    [2300, 2493, 2672, 2506],
-    [2417, 2493, 2672],
-    [2145, 2418, 2673, 2506],
-    [2301, 2496, 2673, 2506],
-    [2418, 2496, 2673],
-    [2138, 2413, 2666, 2495],
-    [2413, 2516, 2666],
-    [2312, 2495, 2666, 2516],
-    [2139, 2413, 2667, 2498],
-    [2413, 2517, 2667],
-    [2313, 2498, 2667, 2517],
-    [2140, 2414, 2668, 2499],
-    [2414, 2518, 2668],
-    [2314, 2499, 2668, 2518],
-    [2414, 2519, 2669],
-    [2141, 2414, 2669, 2502],
-    [2315, 2502, 2669, 2519],
-    [2419, 2501, 2674],
-    [2146, 2419, 2674, 2507],
-    [2302, 2501, 2674, 2507],
-    [2147, 2420, 2675, 2507],
-    [2420, 2504, 2675],
-    [2303, 2504, 2675, 2507],
-    [2155, 2415, 2676, 2521],
-    [2316, 2508, 2676, 2521],
-    [2415, 2508, 2676],
-    [2157, 2416, 2677, 2523],
-    [2416, 2510, 2677],
-    [2318, 2510, 2677, 2523],
-    [2158, 2417, 2678, 2524],
-    [2317, 2509, 2678, 2524],
-    [2417, 2509, 2678],
-    [2160, 2418, 2679, 2526],
-    [2418, 2511, 2679],
-    [2319, 2511, 2679, 2526],
-    [2163, 2419, 2680, 2529],
-    [2419, 2512, 2680],
-    [2320, 2512, 2680, 2529],
-    [2165, 2420, 2681, 2531],
-    [2321, 2513, 2681, 2531],
-    [2420, 2513, 2681],
-    [2178, 2421, 2682, 2532],
-    [2421, 2520, 2682],
-    [2322, 2520, 2682, 2532],
-    [2172, 2424, 2683, 2521],
-    [2323, 2521, 2683, 2533],
-    [2424, 2533, 2683],
-    [2179, 2421, 2684, 2534],
-    [2421, 2522, 2684],
-    [2324, 2522, 2684, 2534],
-    [2174, 2426, 2686, 2524],
-    [2325, 2524, 2686, 2535],
-    [2426, 2535, 2686],
-    [2173, 2425, 2685, 2523],
-    [2425, 2536, 2685],
-    [2326, 2523, 2685, 2536],
-    [2180, 2422, 2687, 2537],
-    [2422, 2525, 2687],
-    [2327, 2525, 2687, 2537],
-    [2175, 2427, 2688, 2526],
-    [2328, 2526, 2688, 2538],
-    [2427, 2538, 2688],
-    [2181, 2422, 2689, 2539],
-    [2329, 2527, 2689, 2539],
-    [2422, 2527, 2689],
-    [2423, 2528, 2690],
-    [2182, 2423, 2690, 2540],
-    [2330, 2528, 2690, 2540],
-    [2176, 2428, 2691, 2529],
-    [2331, 2529, 2691, 2541],
-    [2428, 2541, 2691],
-    [2183, 2423, 2692, 2542],
-    [2423, 2530, 2692],
-    [2332, 2530, 2692, 2542],
-    [2177, 2429, 2693, 2531],
-    [2333, 2531, 2693, 2543],
-    [2429, 2543, 2693],
-    [2184, 2430, 2694, 2532],
-    [2430, 2544, 2694],
-    [2334, 2532, 2694, 2544],
-    [2185, 2431, 2696, 2534],
-    [2431, 2545, 2696],
-    [2335, 2534, 2696, 2545],
-    [2186, 2432, 2699, 2537],
-    [2432, 2546, 2699],
-    [2336, 2537, 2699, 2546],
-    [2187, 2433, 2701, 2539],
-    [2433, 2548, 2701],
-    [2337, 2539, 2701, 2548],
-    [2188, 2434, 2702, 2540],
-    [2434, 2547, 2702],
-    [2338, 2540, 2702, 2547],
-    [2189, 2435, 2704, 2542],
-    [2435, 2549, 2704],
-    [2339, 2542, 2704, 2549],
-    [2190, 2424, 2695, 2557],
-    [2424, 2550, 2695],
-    [2340, 2550, 2695, 2557],
-    [2191, 2425, 2697, 2559],
-    [2425, 2552, 2697],
-    [2341, 2552, 2697, 2559],
-    [2192, 2426, 2698, 2560],
-    [2426, 2551, 2698],
-    [2342, 2551, 2698, 2560],
-    [2193, 2427, 2700, 2562],
-    [2427, 2553, 2700],
-    [2343, 2553, 2700, 2562],
-    [2194, 2428, 2703, 2565],
-    [2428, 2554, 2703],
-    [2344, 2554, 2703, 2565],
-    [2195, 2429, 2705, 2567],
-    [2429, 2555, 2705],
-    [2345, 2555, 2705, 2567],
-    [2202, 2430, 2706, 2568],
-    [2346, 2556, 2706, 2568],
-    [2430, 2556, 2706],
-    [2196, 2436, 2707, 2557],
-    [2436, 2569, 2707],
-    [2347, 2557, 2707, 2569],
-    [2203, 2431, 2708, 2570],
-    [2348, 2558, 2708, 2570],
-    [2431, 2558, 2708],
-    [2197, 2436, 2709, 2559],
-    [2436, 2571, 2709],
-    [2349, 2559, 2709, 2571],
-    [2198, 2437, 2710, 2560],
-    [2350, 2560, 2710, 2572],
-    [2437, 2572, 2710],
-    [2204, 2432, 2711, 2573],
-    [2351, 2561, 2711, 2573],
-    [2432, 2561, 2711],
-    [2199, 2437, 2712, 2562],
-    [2437, 2574, 2712],
-    [2352, 2562, 2712, 2574],
-    [2206, 2434, 2714, 2576],
-    [2434, 2563, 2714],
-    [2353, 2563, 2714, 2576],
-    [2205, 2433, 2713, 2575],
-    [2354, 2564, 2713, 2575],
-    [2433, 2564, 2713],
-    [2200, 2438, 2715, 2565],
-    [2438, 2577, 2715],
-    [2355, 2565, 2715, 2577],
-    [2207, 2435, 2716, 2578],
-    [2356, 2566, 2716, 2578],
-    [2435, 2566, 2716],
-    [2201, 2438, 2717, 2567],
-    [2438, 2579, 2717],
-    [2357, 2567, 2717, 2579],
-    [2214, 2439, 2718, 2568],
-    [2358, 2568, 2718, 2586],
-    [2439, 2586, 2718],
-    [2216, 2440, 2719, 2570],
-    [2440, 2587, 2719],
-    [2359, 2570, 2719, 2587],
-    [2219, 2441, 2720, 2573],
-    [2441, 2588, 2720],
-    [2360, 2573, 2720, 2588],
-    [2221, 2442, 2721, 2575],
-    [2362, 2575, 2721, 2590],
-    [2442, 2590, 2721],
-    [2222, 2443, 2722, 2576],
-    [2443, 2589, 2722],
-    [2361, 2576, 2722, 2589],
-    [2224, 2444, 2723, 2578],
-    [2363, 2578, 2723, 2591],
-    [2444, 2591, 2723],
-    [2232, 2439, 2724, 2592],
-    [2439, 2595, 2724],
-    [2376, 2592, 2724, 2595],
-    [2440, 2598, 2725],
-    [2233, 2440, 2725, 2592],
-    [2377, 2592, 2725, 2598],
-    [2445, 2580, 2730],
-    [2238, 2445, 2730, 2597],
-    [2364, 2580, 2730, 2597],
-    [2239, 2445, 2731, 2600],
-    [2445, 2581, 2731],
-    [2365, 2581, 2731, 2600],
-    [2240, 2446, 2732, 2601],
-    [2446, 2582, 2732],
-    [2366, 2582, 2732, 2601],
-    [2241, 2446, 2733, 2604],
-    [2446, 2583, 2733],
-    [2367, 2583, 2733, 2604],
-    [2234, 2441, 2726, 2593],
-    [2378, 2593, 2726, 2603],
-    [2441, 2603, 2726],
-    [2235, 2442, 2727, 2593],
-    [2379, 2593, 2727, 2606],
-    [2442, 2606, 2727],
-    [2443, 2607, 2728],
-    [2380, 2594, 2728, 2607],
-    [2236, 2443, 2728, 2594],
-    [2237, 2444, 2729, 2594],
-    [2444, 2610, 2729],
-    [2381, 2594, 2729, 2610],
-    [2242, 2447, 2734, 2609],
-    [2447, 2584, 2734],
-    [2368, 2584, 2734, 2609],
-    [2447, 2585, 2735],
-    [2369, 2585, 2735, 2612],
-    [2243, 2447, 2735, 2612],
-    [2244, 2448, 2736, 2597],
-    [2448, 2596, 2736],
-    [2370, 2596, 2736, 2597],
-    [2449, 2599, 2737],
-    [2246, 2449, 2737, 2601],
-    [2371, 2599, 2737, 2601],
-    [2245, 2450, 2738, 2600],
-    [2372, 2600, 2738, 2602],
-    [2450, 2602, 2738],
-    [2247, 2451, 2739, 2604],
-    [2451, 2605, 2739],
-    [2373, 2604, 2739, 2605],
-    [2248, 2452, 2740, 2609],
-    [2452, 2608, 2740],
-    [2374, 2608, 2740, 2609],
-    [2249, 2453, 2741, 2612],
-    [2453, 2611, 2741],
-    [2375, 2611, 2741, 2612],
-    [2256, 2448, 2742, 2619],
-    [2382, 2613, 2742, 2619],
-    [2448, 2613, 2742],
-    [2257, 2449, 2743, 2620],
-    [2449, 2614, 2743],
-    [2383, 2614, 2743, 2620],
-    [2258, 2450, 2744, 2621],
-    [2450, 2615, 2744],
-    [2384, 2615, 2744, 2621],
-    [2451, 2616, 2745],
-    [2386, 2616, 2745, 2622],
-    [2259, 2451, 2745, 2622],
-    [2260, 2452, 2746, 2623],
-    [2452, 2617, 2746],
-    [2385, 2617, 2746, 2623],
-    [2261, 2453, 2747, 2624],
-    [2387, 2618, 2747, 2624],
-    [2453, 2618, 2747],
-    [2265, 2454, 2748, 2619],
-    [2454, 2625, 2748],
-    [2388, 2619, 2748, 2625],
-    [2266, 2455, 2749, 2620],
-    [2455, 2626, 2749],
-    [2389, 2620, 2749, 2626],
-    [2267, 2456, 2750, 2621],
-    [2456, 2627, 2750],
-    [2390, 2621, 2750, 2627],
-    [2268, 2457, 2751, 2622],
-    [2457, 2629, 2751],
-    [2392, 2622, 2751, 2629],
-    [2269, 2458, 2752, 2623],
-    [2458, 2628, 2752],
-    [2391, 2623, 2752, 2628],
-    [2270, 2459, 2753, 2624],
-    [2393, 2624, 2753, 2630],
-    [2459, 2630, 2753],
-    [2271, 2454, 2754, 2633],
-    [2454, 2631, 2754],
-    [2394, 2631, 2754, 2633],
-    [2273, 2455, 2755, 2634],
-    [2395, 2632, 2755, 2634],
-    [2455, 2632, 2755],
-    [2272, 2456, 2756, 2633],
-    [2456, 2635, 2756],
-    [2396, 2633, 2756, 2635],
-    [2274, 2457, 2757, 2634],
-    [2397, 2634, 2757, 2637],
-    [2457, 2637, 2757],
-    [2458, 2636, 2758],
-    [2398, 2636, 2758, 2639],
-    [2275, 2458, 2758, 2639],
-    [2276, 2459, 2759, 2639],
-    [2459, 2638, 2759],
-    [2399, 2638, 2759, 2639],
-    [3000, 3001, 3007, 3012, 3006],
-    [2839, 2845, 3012, 3007],
-    [2838, 2844, 3012, 3006],
-    [2844, 2845, 3012],
-    [2827, 2833, 3007, 3001],
-    [2833, 2839, 3007],
-    [2826, 2832, 3006, 3000],
-    [2832, 2838, 3006],
-    [2820, 2821, 3001, 3000],
-    [2821, 2827, 3001],
-    [2820, 2826, 3000],
-    [2664, 2665, 2845, 2844],
-    [2490, 2659, 2839, 2845, 2665],
-    [2487, 2658, 2838, 2844, 2664],
-    [2653, 2659, 2839, 2833],
-    [2652, 2658, 2838, 2832],
-    [2476, 2647, 2827, 2833, 2653],
-    [2475, 2646, 2826, 2832, 2652],
-    [2641, 2647, 2827, 2821],
-    [2640, 2646, 2826, 2820],
-    [2460, 2640, 2820, 2821, 2641],
-    [2412, 2664, 2665],
-    [2407, 2653, 2659],
-    [2406, 2652, 2658],
-    [2401, 2641, 2647],
-    [2400, 2640, 2646],
-    [3002, 3003, 3009, 3013, 3008],
-    [2841, 2847, 3013, 3009],
-    [2840, 2846, 3013, 3008],
-    [2846, 2847, 3013],
-    [2830, 2836, 3009, 3003],
-    [2836, 2841, 3009],
-    [2828, 2834, 3008, 3002],
-    [2834, 2840, 3008],
-    [2822, 2823, 3003, 3002],
-    [2823, 2830, 3003],
-    [2822, 2828, 3002],
-    [2666, 2667, 2847, 2846],
-    [2498, 2662, 2841, 2847, 2667],
-    [2495, 2660, 2840, 2846, 2666],
-    [2656, 2662, 2841, 2836],
-    [2654, 2660, 2840, 2834],
-    [2479, 2650, 2830, 2836, 2656],
-    [2477, 2648, 2828, 2834, 2654],
-    [2644, 2650, 2830, 2823],
-    [2642, 2648, 2828, 2822],
-    [2465, 2642, 2822, 2823, 2644],
-    [2413, 2666, 2667],
-    [2410, 2656, 2662],
-    [2408, 2654, 2660],
-    [2404, 2644, 2650],
-    [2402, 2642, 2648],
-    [3004, 3005, 3011, 3014, 3010],
-    [2843, 2849, 3014, 3011],
-    [2842, 2848, 3014, 3010],
-    [2848, 2849, 3014],
-    [2831, 2837, 3011, 3005],
-    [2837, 2843, 3011],
-    [2829, 2835, 3010, 3004],
-    [2835, 2842, 3010],
-    [2824, 2825, 3005, 3004],
-    [2825, 2831, 3005],
-    [2824, 2829, 3004],
-    [2668, 2669, 2849, 2848],
-    [2502, 2663, 2843, 2849, 2669],
-    [2499, 2661, 2842, 2848, 2668],
-    [2657, 2663, 2843, 2837],
-    [2655, 2661, 2842, 2835],
-    [2480, 2651, 2831, 2837, 2657],
-    [2478, 2649, 2829, 2835, 2655],
-    [2645, 2651, 2831, 2825],
-    [2643, 2649, 2829, 2824],
-    [2466, 2643, 2824, 2825, 2645],
-    [2414, 2668, 2669],
-    [2411, 2657, 2663],
-    [2409, 2655, 2661],
-    [2405, 2645, 2651],
-    [2403, 2643, 2649],
-    [3015, 3016, 3022, 3027, 3021],
-    [2875, 2887, 3027, 3022],
-    [2874, 2886, 3027, 3021],
-    [2886, 2887, 3027],
-    [2857, 2863, 3022, 3016],
-    [2863, 2875, 3022],
-    [2856, 2862, 3021, 3015],
-    [2862, 2874, 3021],
-    [2850, 2851, 3016, 3015],
-    [2851, 2857, 3016],
-    [2850, 2856, 3015],
-    [2707, 2709, 2887, 2886],
-    [2559, 2697, 2875, 2887, 2709],
-    [2557, 2695, 2874, 2886, 2707],
-    [2685, 2697, 2875, 2863],
-    [2683, 2695, 2874, 2862],
-    [2523, 2677, 2857, 2863, 2685],
-    [2521, 2676, 2856, 2862, 2683],
-    [2671, 2677, 2857, 2851],
-    [2670, 2676, 2856, 2850],
-    [2505, 2670, 2850, 2851, 2671],
-    [2436, 2707, 2709],
-    [2425, 2685, 2697],
-    [2424, 2683, 2695],
-    [2416, 2671, 2677],
-    [2415, 2670, 2676],
-    [3017, 3018, 3024, 3028, 3023],
-    [2877, 2889, 3028, 3024],
-    [2876, 2888, 3028, 3023],
-    [2888, 2889, 3028],
-    [2859, 2865, 3024, 3018],
-    [2865, 2877, 3024],
-    [2858, 2864, 3023, 3017],
-    [2864, 2876, 3023],
-    [2852, 2853, 3018, 3017],
-    [2853, 2859, 3018],
-    [2852, 2858, 3017],
-    [2710, 2712, 2889, 2888],
-    [2562, 2700, 2877, 2889, 2712],
-    [2560, 2698, 2876, 2888, 2710],
-    [2688, 2700, 2877, 2865],
-    [2686, 2698, 2876, 2864],
-    [2526, 2679, 2859, 2865, 2688],
-    [2524, 2678, 2858, 2864, 2686],
-    [2673, 2679, 2859, 2853],
-    [2672, 2678, 2858, 2852],
-    [2506, 2672, 2852, 2853, 2673],
-    [2437, 2710, 2712],
-    [2427, 2688, 2700],
-    [2426, 2686, 2698],
-    [2418, 2673, 2679],
-    [2417, 2672, 2678],
-    [3019, 3020, 3026, 3029, 3025],
-    [2879, 2891, 3029, 3026],
-    [2878, 2890, 3029, 3025],
-    [2890, 2891, 3029],
-    [2861, 2867, 3026, 3020],
-    [2867, 2879, 3026],
-    [2860, 2866, 3025, 3019],
-    [2866, 2878, 3025],
-    [2854, 2855, 3020, 3019],
-    [2855, 2861, 3020],
-    [2854, 2860, 3019],
-    [2715, 2717, 2891, 2890],
-    [2567, 2705, 2879, 2891, 2717],
-    [2565, 2703, 2878, 2890, 2715],
-    [2693, 2705, 2879, 2867],
-    [2691, 2703, 2878, 2866],
-    [2531, 2681, 2861, 2867, 2693],
-    [2529, 2680, 2860, 2866, 2691],
-    [2675, 2681, 2861, 2855],
-    [2674, 2680, 2860, 2854],
-    [2507, 2674, 2854, 2855, 2675],
-    [2438, 2715, 2717],
-    [2429, 2693, 2705],
-    [2428, 2691, 2703],
-    [2420, 2675, 2681],
-    [2419, 2674, 2680],
-    [3030, 3033, 3039, 3040, 3034],
-    [2904, 2905, 3040, 3039],
-    [2893, 2899, 3040, 3034],
-    [2899, 2905, 3040],
-    [2892, 2898, 3039, 3033],
-    [2898, 2904, 3039],
-    [2869, 2881, 3034, 3030],
-    [2881, 2893, 3034],
-    [2868, 2880, 3033, 3030],
-    [2880, 2892, 3033],
-    [2868, 2869, 3030],
-    [2592, 2724, 2904, 2905, 2725],
-    [2719, 2725, 2905, 2899],
-    [2718, 2724, 2904, 2898],
-    [2570, 2708, 2893, 2899, 2719],
-    [2568, 2706, 2892, 2898, 2718],
-    [2696, 2708, 2893, 2881],
-    [2694, 2706, 2892, 2880],
-    [2534, 2684, 2869, 2881, 2696],
-    [2532, 2682, 2868, 2880, 2694],
-    [2682, 2684, 2869, 2868],
-    [2440, 2719, 2725],
-    [2439, 2718, 2724],
-    [2431, 2696, 2708],
-    [2430, 2694, 2706],
-    [2421, 2682, 2684],
-    [3031, 3035, 3041, 3042, 3036],
-    [2906, 2907, 3042, 3041],
-    [2895, 2901, 3042, 3036],
-    [2901, 2907, 3042],
-    [2894, 2900, 3041, 3035],
-    [2900, 2906, 3041],
-    [2871, 2883, 3036, 3031],
-    [2883, 2895, 3036],
-    [2870, 2882, 3035, 3031],
-    [2882, 2894, 3035],
-    [2870, 2871, 3031],
-    [2593, 2726, 2906, 2907, 2727],
-    [2721, 2727, 2907, 2901],
-    [2720, 2726, 2906, 2900],
-    [2575, 2713, 2895, 2901, 2721],
-    [2573, 2711, 2894, 2900, 2720],
-    [2701, 2713, 2895, 2883],
-    [2699, 2711, 2894, 2882],
-    [2539, 2689, 2871, 2883, 2701],
-    [2537, 2687, 2870, 2882, 2699],
-    [2687, 2689, 2871, 2870],
-    [2442, 2721, 2727],
-    [2441, 2720, 2726],
-    [2433, 2701, 2713],
-    [2432, 2699, 2711],
-    [2422, 2687, 2689],
-    [3032, 3037, 3043, 3044, 3038],
-    [2908, 2909, 3044, 3043],
-    [2897, 2903, 3044, 3038],
-    [2903, 2909, 3044],
-    [2896, 2902, 3043, 3037],
-    [2902, 2908, 3043],
-    [2873, 2885, 3038, 3032],
-    [2885, 2897, 3038],
-    [2872, 2884, 3037, 3032],
-    [2884, 2896, 3037],
-    [2872, 2873, 3032],
-    [2594, 2728, 2908, 2909, 2729],
-    [2723, 2729, 2909, 2903],
-    [2722, 2728, 2908, 2902],
-    [2578, 2716, 2897, 2903, 2723],
-    [2576, 2714, 2896, 2902, 2722],
-    [2704, 2716, 2897, 2885],
-    [2702, 2714, 2896, 2884],
-    [2542, 2692, 2873, 2885, 2704],
-    [2540, 2690, 2872, 2884, 2702],
-    [2690, 2692, 2873, 2872],
-    [2444, 2723, 2729],
-    [2443, 2722, 2728],
-    [2435, 2704, 2716],
-    [2434, 2702, 2714],
-    [2423, 2690, 2692],
-    [3045, 3048, 3054, 3055, 3049],
-    [2934, 2935, 3055, 3054],
-    [2924, 2930, 3055, 3049],
-    [2930, 2935, 3055],
-    [2922, 2928, 3054, 3048],
-    [2928, 2934, 3054],
-    [2911, 2917, 3049, 3045],
-    [2917, 2924, 3049],
-    [2910, 2916, 3048, 3045],
-    [2916, 2922, 3048],
-    [2910, 2911, 3045],
-    [2633, 2754, 2934, 2935, 2756],
-    [2750, 2756, 2935, 2930],
-    [2748, 2754, 2934, 2928],
-    [2621, 2744, 2924, 2930, 2750],
-    [2619, 2742, 2922, 2928, 2748],
-    [2738, 2744, 2924, 2917],
-    [2736, 2742, 2922, 2916],
-    [2600, 2731, 2911, 2917, 2738],
-    [2597, 2730, 2910, 2916, 2736],
-    [2730, 2731, 2911, 2910],
-    [2456, 2750, 2756],
-    [2454, 2748, 2754],
-    [2450, 2738, 2744],
-    [2448, 2736, 2742],
-    [2445, 2730, 2731],
-    [3046, 3050, 3056, 3057, 3051],
-    [2936, 2937, 3057, 3056],
-    [2925, 2931, 3057, 3051],
-    [2931, 2937, 3057],
-    [2923, 2929, 3056, 3050],
-    [2929, 2936, 3056],
-    [2913, 2919, 3051, 3046],
-    [2919, 2925, 3051],
-    [2912, 2918, 3050, 3046],
-    [2918, 2923, 3050],
-    [2912, 2913, 3046],
-    [2634, 2755, 2936, 2937, 2757],
-    [2751, 2757, 2937, 2931],
-    [2749, 2755, 2936, 2929],
-    [2622, 2745, 2925, 2931, 2751],
-    [2620, 2743, 2923, 2929, 2749],
-    [2739, 2745, 2925, 2919],
-    [2737, 2743, 2923, 2918],
-    [2604, 2733, 2913, 2919, 2739],
-    [2601, 2732, 2912, 2918, 2737],
-    [2732, 2733, 2913, 2912],
-    [2457, 2751, 2757],
-    [2455, 2749, 2755],
-    [2451, 2739, 2745],
-    [2449, 2737, 2743],
-    [2446, 2732, 2733],
-    [3047, 3052, 3058, 3059, 3053],
-    [2938, 2939, 3059, 3058],
-    [2927, 2933, 3059, 3053],
-    [2933, 2939, 3059],
-    [2926, 2932, 3058, 3052],
-    [2932, 2938, 3058],
-    [2915, 2921, 3053, 3047],
-    [2921, 2927, 3053],
-    [2914, 2920, 3052, 3047],
-    [2920, 2926, 3052],
-    [2914, 2915, 3047],
-    [2639, 2758, 2938, 2939, 2759],
-    [2753, 2759, 2939, 2933],
-    [2752, 2758, 2938, 2932],
-    [2624, 2747, 2927, 2933, 2753],
-    [2623, 2746, 2926, 2932, 2752],
-    [2741, 2747, 2927, 2921],
-    [2740, 2746, 2926, 2920],
-    [2612, 2735, 2915, 2921, 2741],
-    [2609, 2734, 2914, 2920, 2740],
-    [2734, 2735, 2915, 2914],
-    [2459, 2753, 2759],
-    [2458, 2752, 2758],
-    [2453, 2741, 2747],
-    [2452, 2740, 2746],
-    [2447, 2734, 2735],
-    [2640, 2646, 2760],
-    [2469, 2646, 2760],
-    [2461, 2640, 2760],
-    [2461, 2469, 2760],
-    [2641, 2647, 2762],
-    [2471, 2647, 2762],
-    [2463, 2641, 2762],
-    [2463, 2471, 2762],
-    [2642, 2648, 2761],
-    [2470, 2648, 2761],
-    [2462, 2642, 2761],
-    [2462, 2470, 2761],
-    [2643, 2649, 2763],
-    [2472, 2649, 2763],
-    [2464, 2643, 2763],
-    [2464, 2472, 2763],
-    [2644, 2650, 2764],
-    [2473, 2650, 2764],
-    [2467, 2644, 2764],
-    [2467, 2473, 2764],
-    [2645, 2651, 2765],
-    [2474, 2651, 2765],
-    [2468, 2645, 2765],
-    [2468, 2474, 2765],
-    [2652, 2658, 2766],
-    [2488, 2658, 2766],
-    [2481, 2652, 2766],
-    [2481, 2488, 2766],
-    [2653, 2659, 2767],
-    [2491, 2659, 2767],
-    [2482, 2653, 2767],
-    [2482, 2491, 2767],
-    [2654, 2660, 2768],
-    [2494, 2660, 2768],
-    [2483, 2654, 2768],
-    [2483, 2494, 2768],
-    [2655, 2661, 2769],
-    [2497, 2661, 2769],
-    [2484, 2655, 2769],
-    [2484, 2497, 2769],
-    [2656, 2662, 2770],
-    [2500, 2662, 2770],
-    [2485, 2656, 2770],
-    [2485, 2500, 2770],
-    [2657, 2663, 2771],
-    [2503, 2663, 2771],
-    [2486, 2657, 2771],
-    [2486, 2503, 2771],
-    [2664, 2665, 2778],
-    [2515, 2665, 2778],
-    [2514, 2664, 2778],
-    [2514, 2515, 2778],
-    [2670, 2676, 2772],
-    [2508, 2676, 2772],
-    [2489, 2670, 2772],
-    [2489, 2508, 2772],
-    [2671, 2677, 2773],
-    [2510, 2677, 2773],
-    [2492, 2671, 2773],
-    [2492, 2510, 2773],
-    [2672, 2678, 2774],
-    [2509, 2678, 2774],
-    [2493, 2672, 2774],
-    [2493, 2509, 2774],
-    [2673, 2679, 2775],
-    [2511, 2679, 2775],
-    [2496, 2673, 2775],
-    [2496, 2511, 2775],
-    [2666, 2667, 2779],
-    [2517, 2667, 2779],
-    [2516, 2666, 2779],
-    [2516, 2517, 2779],
-    [2668, 2669, 2780],
-    [2519, 2669, 2780],
-    [2518, 2668, 2780],
-    [2518, 2519, 2780],
-    [2674, 2680, 2776],
-    [2512, 2680, 2776],
-    [2501, 2674, 2776],
-    [2501, 2512, 2776],
-    [2675, 2681, 2777],
-    [2513, 2681, 2777],
-    [2504, 2675, 2777],
-    [2504, 2513, 2777],
-    [2682, 2684, 2781],
-    [2522, 2684, 2781],
-    [2520, 2682, 2781],
-    [2520, 2522, 2781],
-    [2687, 2689, 2782],
-    [2527, 2689, 2782],
-    [2525, 2687, 2782],
-    [2525, 2527, 2782],
-    [2690, 2692, 2783],
-    [2530, 2692, 2783],
-    [2528, 2690, 2783],
-    [2528, 2530, 2783],
-    [2683, 2695, 2784],
-    [2550, 2695, 2784],
-    [2533, 2683, 2784],
-    [2533, 2550, 2784],
-    [2686, 2698, 2785],
-    [2551, 2698, 2785],
-    [2535, 2686, 2785],
-    [2535, 2551, 2785],
-    [2685, 2697, 2786],
-    [2552, 2697, 2786],
-    [2536, 2685, 2786],
-    [2536, 2552, 2786],
-    [2688, 2700, 2787],
-    [2553, 2700, 2787],
-    [2538, 2688, 2787],
-    [2538, 2553, 2787],
-    [2691, 2703, 2788],
-    [2554, 2703, 2788],
-    [2541, 2691, 2788],
-    [2541, 2554, 2788],
-    [2693, 2705, 2789],
-    [2555, 2705, 2789],
-    [2543, 2693, 2789],
-    [2543, 2555, 2789],
-    [2694, 2706, 2790],
-    [2556, 2706, 2790],
-    [2544, 2694, 2790],
-    [2544, 2556, 2790],
-    [2696, 2708, 2791],
-    [2558, 2708, 2791],
-    [2545, 2696, 2791],
-    [2545, 2558, 2791],
-    [2699, 2711, 2792],
-    [2561, 2711, 2792],
-    [2546, 2699, 2792],
-    [2546, 2561, 2792],
-    [2702, 2714, 2793],
-    [2563, 2714, 2793],
-    [2547, 2702, 2793],
-    [2547, 2563, 2793],
-    [2701, 2713, 2794],
-    [2564, 2713, 2794],
-    [2548, 2701, 2794],
-    [2548, 2564, 2794],
-    [2704, 2716, 2795],
-    [2566, 2716, 2795],
-    [2549, 2704, 2795],
-    [2549, 2566, 2795],
-    [2707, 2709, 2796],
-    [2571, 2709, 2796],
-    [2569, 2707, 2796],
-    [2569, 2571, 2796],
-    [2710, 2712, 2797],
-    [2574, 2712, 2797],
-    [2572, 2710, 2797],
-    [2572, 2574, 2797],
-    [2715, 2717, 2798],
-    [2579, 2717, 2798],
-    [2577, 2715, 2798],
-    [2577, 2579, 2798],
-    [2718, 2724, 2802],
-    [2595, 2724, 2802],
-    [2586, 2718, 2802],
-    [2586, 2595, 2802],
-    [2719, 2725, 2803],
-    [2598, 2725, 2803],
-    [2587, 2719, 2803],
-    [2587, 2598, 2803],
-    [2730, 2731, 2799],
-    [2581, 2731, 2799],
-    [2580, 2730, 2799],
-    [2580, 2581, 2799],
-    [2732, 2733, 2800],
-    [2583, 2733, 2800],
-    [2582, 2732, 2800],
-    [2582, 2583, 2800],
-    [2720, 2726, 2804],
-    [2603, 2726, 2804],
-    [2588, 2720, 2804],
-    [2588, 2603, 2804],
-    [2721, 2727, 2805],
-    [2606, 2727, 2805],
-    [2590, 2721, 2805],
-    [2590, 2606, 2805],
-    [2722, 2728, 2806],
-    [2607, 2728, 2806],
-    [2589, 2722, 2806],
-    [2589, 2607, 2806],
-    [2723, 2729, 2807],
-    [2610, 2729, 2807],
-    [2591, 2723, 2807],
-    [2591, 2610, 2807],
-    [2734, 2735, 2801],
-    [2585, 2735, 2801],
-    [2584, 2734, 2801],
-    [2584, 2585, 2801],
-    [2736, 2742, 2808],
-    [2613, 2742, 2808],
-    [2596, 2736, 2808],
-    [2596, 2613, 2808],
-    [2737, 2743, 2809],
-    [2614, 2743, 2809],
-    [2599, 2737, 2809],
-    [2599, 2614, 2809],
-    [2738, 2744, 2810],
-    [2615, 2744, 2810],
-    [2602, 2738, 2810],
-    [2602, 2615, 2810],
-    [2739, 2745, 2811],
-    [2616, 2745, 2811],
-    [2605, 2739, 2811],
-    [2605, 2616, 2811],
-    [2740, 2746, 2812],
-    [2617, 2746, 2812],
-    [2608, 2740, 2812],
-    [2608, 2617, 2812],
-    [2741, 2747, 2813],
-    [2618, 2747, 2813],
-    [2611, 2741, 2813],
-    [2611, 2618, 2813],
-    [2748, 2754, 2814],
-    [2631, 2754, 2814],
-    [2625, 2748, 2814],
-    [2625, 2631, 2814],
-    [2749, 2755, 2815],
-    [2632, 2755, 2815],
-    [2626, 2749, 2815],
-    [2626, 2632, 2815],
-    [2750, 2756, 2816],
-    [2635, 2756, 2816],
-    [2627, 2750, 2816],
-    [2627, 2635, 2816],
-    [2751, 2757, 2818],
-    [2637, 2757, 2818],
-    [2629, 2751, 2818],
-    [2629, 2637, 2818],
-    [2752, 2758, 2817],
-    [2636, 2758, 2817],
-    [2628, 2752, 2817],
-    [2628, 2636, 2817],
-    [2753, 2759, 2819],
-    [2638, 2759, 2819],
-    [2630, 2753, 2819],
-    [2630, 2638, 2819],
-    [2461, 2462, 2761, 2760],
-    [2469, 2470, 2761, 2760],
-    [2463, 2464, 2763, 2762],
-    [2471, 2472, 2763, 2762],
-    [2467, 2468, 2765, 2764],
-    [2473, 2474, 2765, 2764],
-    [2488, 2508, 2772, 2766],
-    [2481, 2489, 2772, 2766],
-    [2482, 2493, 2774, 2767],
-    [2491, 2509, 2774, 2767],
-    [2483, 2492, 2773, 2768],
-    [2494, 2510, 2773, 2768],
-    [2484, 2496, 2775, 2769],
-    [2497, 2511, 2775, 2769],
-    [2485, 2501, 2776, 2770],
-    [2500, 2512, 2776, 2770],
-    [2486, 2504, 2777, 2771],
-    [2503, 2513, 2777, 2771],
-    [2514, 2520, 2781, 2778],
-    [2515, 2522, 2781, 2778],
-    [2517, 2527, 2782, 2779],
-    [2516, 2525, 2782, 2779],
-    [2519, 2530, 2783, 2780],
-    [2518, 2528, 2783, 2780],
-    [2533, 2544, 2790, 2784],
-    [2550, 2556, 2790, 2784],
-    [2535, 2545, 2791, 2785],
-    [2551, 2558, 2791, 2785],
-    [2552, 2561, 2792, 2786],
-    [2536, 2546, 2792, 2786],
-    [2538, 2547, 2793, 2787],
-    [2553, 2563, 2793, 2787],
-    [2554, 2564, 2794, 2788],
-    [2541, 2548, 2794, 2788],
-    [2555, 2566, 2795, 2789],
-    [2543, 2549, 2795, 2789],
-    [2569, 2580, 2799, 2796],
-    [2571, 2581, 2799, 2796],
-    [2572, 2582, 2800, 2797],
-    [2574, 2583, 2800, 2797],
-    [2579, 2585, 2801, 2798],
-    [2577, 2584, 2801, 2798],
-    [2586, 2596, 2808, 2802],
-    [2595, 2613, 2808, 2802],
-    [2598, 2614, 2809, 2803],
-    [2587, 2599, 2809, 2803],
-    [2603, 2615, 2810, 2804],
-    [2588, 2602, 2810, 2804],
-    [2607, 2616, 2811, 2806],
-    [2589, 2605, 2811, 2806],
-    [2590, 2608, 2812, 2805],
-    [2606, 2617, 2812, 2805],
-    [2591, 2611, 2813, 2807],
-    [2610, 2618, 2813, 2807],
-    [2631, 2632, 2815, 2814],
-    [2625, 2626, 2815, 2814],
-    [2635, 2636, 2817, 2816],
-    [2627, 2628, 2817, 2816],
-    [2637, 2638, 2819, 2818],
-    [2629, 2630, 2819, 2818],
-    [2646, 2760, 2940, 2826],
-    [2640, 2760, 2940, 2820],
-    [2820, 2826, 2940],
-    [2647, 2762, 2941, 2827],
-    [2641, 2762, 2941, 2821],
-    [2821, 2827, 2941],
-    [2642, 2761, 2942, 2822],
-    [2648, 2761, 2942, 2828],
-    [2822, 2828, 2942],
-    [2643, 2763, 2943, 2824],
-    [2649, 2763, 2943, 2829],
-    [2824, 2829, 2943],
-    [2644, 2764, 2944, 2823],
-    [2650, 2764, 2944, 2830],
-    [2823, 2830, 2944],
-    [2651, 2765, 2945, 2831],
-    [2645, 2765, 2945, 2825],
-    [2825, 2831, 2945],
-    [2652, 2766, 2946, 2832],
-    [2658, 2766, 2946, 2838],
-    [2832, 2838, 2946],
-    [2653, 2767, 2947, 2833],
-    [2659, 2767, 2947, 2839],
-    [2833, 2839, 2947],
-    [2654, 2768, 2948, 2834],
-    [2660, 2768, 2948, 2840],
-    [2834, 2840, 2948],
-    [2661, 2769, 2949, 2842],
-    [2835, 2842, 2949],
-    [2655, 2769, 2949, 2835],
-    [2656, 2770, 2950, 2836],
-    [2662, 2770, 2950, 2841],
-    [2836, 2841, 2950],
-    [2657, 2771, 2951, 2837],
-    [2663, 2771, 2951, 2843],
-    [2837, 2843, 2951],
-    [2665, 2778, 2952, 2845],
-    [2664, 2778, 2952, 2844],
-    [2844, 2845, 2952],
-    [2666, 2779, 2957, 2846],
-    [2846, 2847, 2957],
-    [2667, 2779, 2957, 2847],
-    [2668, 2780, 2958, 2848],
-    [2669, 2780, 2958, 2849],
-    [2848, 2849, 2958],
-    [2676, 2772, 2953, 2856],
-    [2670, 2772, 2953, 2850],
-    [2850, 2856, 2953],
-    [2671, 2773, 2954, 2851],
-    [2677, 2773, 2954, 2857],
-    [2851, 2857, 2954],
-    [2672, 2774, 2955, 2852],
-    [2678, 2774, 2955, 2858],
-    [2852, 2858, 2955],
-    [2673, 2775, 2956, 2853],
-    [2679, 2775, 2956, 2859],
-    [2853, 2859, 2956],
-    [2680, 2776, 2959, 2860],
-    [2674, 2776, 2959, 2854],
-    [2854, 2860, 2959],
-    [2681, 2777, 2960, 2861],
-    [2675, 2777, 2960, 2855],
-    [2855, 2861, 2960],
-    [2682, 2781, 2961, 2868],
-    [2684, 2781, 2961, 2869],
-    [2868, 2869, 2961],
-    [2689, 2782, 2962, 2871],
-    [2687, 2782, 2962, 2870],
-    [2870, 2871, 2962],
-    [2692, 2783, 2963, 2873],
-    [2690, 2783, 2963, 2872],
-    [2872, 2873, 2963],
-    [2683, 2784, 2964, 2862],
-    [2695, 2784, 2964, 2874],
-    [2862, 2874, 2964],
-    [2685, 2786, 2966, 2863],
-    [2863, 2875, 2966],
-    [2697, 2786, 2966, 2875],
-    [2686, 2785, 2965, 2864],
-    [2698, 2785, 2965, 2876],
-    [2864, 2876, 2965],
-    [2688, 2787, 2967, 2865],
-    [2865, 2877, 2967],
-    [2700, 2787, 2967, 2877],
-    [2691, 2788, 2968, 2866],
-    [2866, 2878, 2968],
-    [2703, 2788, 2968, 2878],
-    [2693, 2789, 2969, 2867],
-    [2705, 2789, 2969, 2879],
-    [2867, 2879, 2969],
-    [2706, 2790, 2970, 2892],
-    [2694, 2790, 2970, 2880],
-    [2880, 2892, 2970],
-    [2708, 2791, 2971, 2893],
-    [2881, 2893, 2971],
-    [2696, 2791, 2971, 2881],
-    [2711, 2792, 2972, 2894],
-    [2699, 2792, 2972, 2882],
-    [2882, 2894, 2972],
-    [2713, 2794, 2974, 2895],
-    [2701, 2794, 2974, 2883],
-    [2883, 2895, 2974],
-    [2714, 2793, 2973, 2896],
-    [2884, 2896, 2973],
-    [2702, 2793, 2973, 2884],
-    [2716, 2795, 2975, 2897],
-    [2704, 2795, 2975, 2885],
-    [2885, 2897, 2975],
-    [2707, 2796, 2976, 2886],
-    [2709, 2796, 2976, 2887],
-    [2886, 2887, 2976],
-    [2710, 2797, 2977, 2888],
-    [2888, 2889, 2977],
-    [2712, 2797, 2977, 2889],
-    [2717, 2798, 2978, 2891],
-    [2715, 2798, 2978, 2890],
-    [2890, 2891, 2978],
-    [2718, 2802, 2979, 2898],
-    [2724, 2802, 2979, 2904],
-    [2898, 2904, 2979],
-    [2719, 2803, 2980, 2899],
-    [2725, 2803, 2980, 2905],
-    [2899, 2905, 2980],
-    [2726, 2804, 2983, 2906],
-    [2720, 2804, 2983, 2900],
-    [2900, 2906, 2983],
-    [2721, 2805, 2984, 2901],
-    [2727, 2805, 2984, 2907],
-    [2901, 2907, 2984],
-    [2728, 2806, 2985, 2908],
-    [2722, 2806, 2985, 2902],
-    [2902, 2908, 2985],
-    [2723, 2807, 2986, 2903],
-    [2729, 2807, 2986, 2909],
-    [2903, 2909, 2986],
-    [2731, 2799, 2981, 2911],
-    [2730, 2799, 2981, 2910],
-    [2910, 2911, 2981],
-    [2733, 2800, 2982, 2913],
-    [2912, 2913, 2982],
-    [2732, 2800, 2982, 2912],
-    [2734, 2801, 2987, 2914],
-    [2735, 2801, 2987, 2915],
-    [2914, 2915, 2987],
-    [2742, 2808, 2988, 2922],
-    [2736, 2808, 2988, 2916],
-    [2916, 2922, 2988],
-    [2743, 2809, 2989, 2923],
-    [2737, 2809, 2989, 2918],
-    [2918, 2923, 2989],
-    [2738, 2810, 2990, 2917],
-    [2917, 2924, 2990],
-    [2744, 2810, 2990, 2924],
-    [2745, 2811, 2991, 2925],
-    [2739, 2811, 2991, 2919],
-    [2919, 2925, 2991],
-    [2740, 2812, 2992, 2920],
-    [2746, 2812, 2992, 2926],
-    [2920, 2926, 2992],
-    [2747, 2813, 2993, 2927],
-    [2741, 2813, 2993, 2921],
-    [2921, 2927, 2993],
-    [2748, 2814, 2994, 2928],
-    [2754, 2814, 2994, 2934],
-    [2928, 2934, 2994],
-    [2755, 2815, 2995, 2936],
-    [2749, 2815, 2995, 2929],
-    [2929, 2936, 2995],
-    [2756, 2816, 2996, 2935],
-    [2750, 2816, 2996, 2930],
-    [2930, 2935, 2996],
-    [2757, 2818, 2997, 2937],
-    [2751, 2818, 2997, 2931],
-    [2931, 2937, 2997],
-    [2752, 2817, 2998, 2932],
-    [2758, 2817, 2998, 2938],
-    [2932, 2938, 2998],
-    [2753, 2819, 2999, 2933],
-    [2759, 2819, 2999, 2939],
-    [2933, 2939, 2999],
-    [3330, 3331, 3332],
-    [3214, 3215, 3332, 3331],
-    [3211, 3213, 3332, 3330],
-    [3066, 3067, 3215, 3332, 3213],
-    [3210, 3212, 3331, 3330],
-    [3064, 3065, 3214, 3331, 3212],
-    [3060, 3061, 3211, 3330, 3210],
-    [3068, 3214, 3215],
-    [2945, 3067, 3215, 3068],
-    [2944, 3065, 3214, 3068],
-    [3063, 3211, 3213],
-    [2943, 3063, 3213, 3066],
-    [3062, 3210, 3212],
-    [2942, 3062, 3212, 3064],
-    [2941, 3061, 3211, 3063],
-    [2940, 3060, 3210, 3062],
-    [2764, 2765, 2945, 3068, 2944],
-    [2824, 2825, 3067, 3066],
-    [2825, 2945, 3067],
-    [2824, 2943, 3066],
-    [2822, 2823, 3065, 3064],
-    [2823, 2944, 3065],
-    [2822, 2942, 3064],
-    [2762, 2763, 2943, 3063, 2941],
-    [2760, 2761, 2942, 3062, 2940],
-    [2820, 2821, 3061, 3060],
-    [2821, 2941, 3061],
-    [2820, 2940, 3060],
-    [3333, 3334, 3339],
-    [3224, 3231, 3339, 3334],
-    [3222, 3229, 3339, 3333],
-    [3099, 3100, 3231, 3339, 3229],
-    [3216, 3217, 3334, 3333],
-    [3071, 3077, 3224, 3334, 3217],
-    [3069, 3075, 3222, 3333, 3216],
-    [3091, 3224, 3231],
-    [2954, 3091, 3231, 3100],
-    [3088, 3222, 3229],
-    [2953, 3088, 3229, 3099],
-    [2948, 3077, 3224, 3091],
-    [2946, 3075, 3222, 3088],
-    [3062, 3216, 3217],
-    [2942, 3062, 3217, 3071],
-    [2940, 3062, 3216, 3069],
-    [2850, 2851, 3100, 3099],
-    [2851, 2954, 3100],
-    [2850, 2953, 3099],
-    [2768, 2773, 2954, 3091, 2948],
-    [2766, 2772, 2953, 3088, 2946],
-    [2828, 2834, 3077, 3071],
-    [2834, 2948, 3077],
-    [2826, 2832, 3075, 3069],
-    [2832, 2946, 3075],
-    [2828, 2942, 3071],
-    [2826, 2940, 3069],
-    [3335, 3336, 3340],
-    [3225, 3234, 3340, 3336],
-    [3223, 3232, 3340, 3335],
-    [3101, 3102, 3234, 3340, 3232],
-    [3218, 3219, 3336, 3335],
-    [3072, 3078, 3225, 3336, 3219],
-    [3070, 3076, 3223, 3335, 3218],
-    [3093, 3225, 3234],
-    [2956, 3093, 3234, 3102],
-    [3090, 3223, 3232],
-    [2955, 3090, 3232, 3101],
-    [2949, 3078, 3225, 3093],
-    [2947, 3076, 3223, 3090],
-    [3063, 3218, 3219],
-    [2943, 3063, 3219, 3072],
-    [2941, 3063, 3218, 3070],
-    [2852, 2853, 3102, 3101],
-    [2853, 2956, 3102],
-    [2852, 2955, 3101],
-    [2769, 2775, 2956, 3093, 2949],
-    [2767, 2774, 2955, 3090, 2947],
-    [2829, 2835, 3078, 3072],
-    [2835, 2949, 3078],
-    [2827, 2833, 3076, 3070],
-    [2833, 2947, 3076],
-    [2829, 2943, 3072],
-    [2827, 2941, 3070],
-    [3337, 3338, 3341],
-    [3227, 3239, 3341, 3338],
-    [3226, 3237, 3341, 3337],
-    [3103, 3104, 3239, 3341, 3237],
-    [3220, 3221, 3338, 3337],
-    [3074, 3080, 3227, 3338, 3221],
-    [3073, 3079, 3226, 3337, 3220],
-    [3098, 3227, 3239],
-    [2960, 3098, 3239, 3104],
-    [3096, 3226, 3237],
-    [2959, 3096, 3237, 3103],
-    [2951, 3080, 3227, 3098],
-    [2950, 3079, 3226, 3096],
-    [3068, 3220, 3221],
-    [2945, 3068, 3221, 3074],
-    [2944, 3068, 3220, 3073],
-    [2854, 2855, 3104, 3103],
-    [2855, 2960, 3104],
-    [2854, 2959, 3103],
-    [2771, 2777, 2960, 3098, 2951],
-    [2770, 2776, 2959, 3096, 2950],
-    [2831, 2837, 3080, 3074],
-    [2837, 2951, 3080],
-    [2830, 2836, 3079, 3073],
-    [2836, 2950, 3079],
-    [2831, 2945, 3074],
-    [2830, 2944, 3073],
-    [3342, 3348, 3354],
-    [3258, 3264, 3354, 3348],
-    [3240, 3252, 3354, 3342],
-    [3120, 3126, 3264, 3354, 3252],
-    [3228, 3241, 3348, 3342],
-    [3106, 3114, 3258, 3348, 3241],
-    [3081, 3087, 3240, 3342, 3228],
-    [3127, 3258, 3264],
-    [2970, 3126, 3264, 3127],
-    [2964, 3114, 3258, 3127],
-    [3105, 3240, 3252],
-    [2961, 3105, 3252, 3120],
-    [3088, 3228, 3241],
-    [2953, 3088, 3241, 3106],
-    [2952, 3087, 3240, 3105],
-    [2946, 3081, 3228, 3088],
-    [2784, 2790, 2970, 3127, 2964],
-    [2868, 2880, 3126, 3120],
-    [2880, 2970, 3126],
-    [2868, 2961, 3120],
-    [2856, 2862, 3114, 3106],
-    [2862, 2964, 3114],
-    [2856, 2953, 3106],
-    [2778, 2781, 2961, 3105, 2952],
-    [2838, 2844, 3087, 3081],
-    [2844, 2952, 3087],
-    [2838, 2946, 3081],
-    [3343, 3349, 3355],
-    [3259, 3265, 3355, 3349],
-    [3242, 3253, 3355, 3343],
-    [3121, 3129, 3265, 3355, 3253],
-    [3230, 3243, 3349, 3343],
-    [3108, 3116, 3259, 3349, 3243],
-    [3082, 3089, 3242, 3343, 3230],
-    [3130, 3259, 3265],
-    [2971, 3129, 3265, 3130],
-    [2965, 3116, 3259, 3130],
-    [3105, 3242, 3253],
-    [2961, 3105, 3253, 3121],
-    [3090, 3230, 3243],
-    [2955, 3090, 3243, 3108],
-    [2952, 3089, 3242, 3105],
-    [2947, 3082, 3230, 3090],
-    [2785, 2791, 2971, 3130, 2965],
-    [2869, 2881, 3129, 3121],
-    [2881, 2971, 3129],
-    [2869, 2961, 3121],
-    [2858, 2864, 3116, 3108],
-    [2864, 2965, 3116],
-    [2858, 2955, 3108],
-    [2839, 2845, 3089, 3082],
-    [2845, 2952, 3089],
-    [2839, 2947, 3082],
-    [3344, 3350, 3356],
-    [3260, 3266, 3356, 3350],
-    [3245, 3254, 3356, 3344],
-    [3122, 3134, 3266, 3356, 3254],
-    [3233, 3244, 3350, 3344],
-    [3107, 3115, 3260, 3350, 3244],
-    [3083, 3092, 3245, 3344, 3233],
-    [3133, 3260, 3266],
-    [2972, 3133, 3266, 3134],
-    [2966, 3115, 3260, 3133],
-    [3110, 3245, 3254],
-    [2962, 3110, 3254, 3122],
-    [2957, 3092, 3245, 3110],
-    [3091, 3233, 3244],
-    [2954, 3091, 3244, 3107],
-    [2948, 3083, 3233, 3091],
-    [2870, 2882, 3134, 3122],
-    [2882, 2972, 3134],
-    [2786, 2792, 2972, 3133, 2966],
-    [2870, 2962, 3122],
-    [2857, 2863, 3115, 3107],
-    [2863, 2966, 3115],
-    [2779, 2782, 2962, 3110, 2957],
-    [2857, 2954, 3107],
-    [2840, 2846, 3092, 3083],
-    [2846, 2957, 3092],
-    [2840, 2948, 3083],
-    [3346, 3351, 3358],
-    [3261, 3267, 3358, 3351],
-    [3248, 3256, 3358, 3346],
-    [3124, 3138, 3267, 3358, 3256],
-    [3235, 3246, 3351, 3346],
-    [3109, 3117, 3261, 3351, 3246],
-    [3085, 3095, 3248, 3346, 3235],
-    [3136, 3261, 3267],
-    [2973, 3136, 3267, 3138],
-    [2967, 3117, 3261, 3136],
-    [3111, 3248, 3256],
-    [2963, 3111, 3256, 3124],
-    [2958, 3095, 3248, 3111],
-    [3093, 3235, 3246],
-    [2956, 3093, 3246, 3109],
-    [2949, 3085, 3235, 3093],
-    [2872, 2884, 3138, 3124],
-    [2884, 2973, 3138],
-    [2787, 2793, 2973, 3136, 2967],
-    [2872, 2963, 3124],
-    [2859, 2865, 3117, 3109],
-    [2865, 2967, 3117],
-    [2780, 2783, 2963, 3111, 2958],
-    [2859, 2956, 3109],
-    [2842, 2848, 3095, 3085],
-    [2848, 2958, 3095],
-    [2842, 2949, 3085],
-    [3345, 3352, 3357],
-    [3262, 3268, 3357, 3352],
-    [3247, 3255, 3357, 3345],
-    [3123, 3137, 3268, 3357, 3255],
-    [3236, 3249, 3352, 3345],
-    [3112, 3118, 3262, 3352, 3249],
-    [3084, 3094, 3247, 3345, 3236],
-    [3139, 3262, 3268],
-    [2974, 3137, 3268, 3139],
-    [2968, 3118, 3262, 3139],
-    [3110, 3247, 3255],
-    [2962, 3110, 3255, 3123],
-    [3096, 3236, 3249],
-    [2959, 3096, 3249, 3112],
-    [2957, 3094, 3247, 3110],
-    [2950, 3084, 3236, 3096],
-    [2788, 2794, 2974, 3139, 2968],
-    [2871, 2883, 3137, 3123],
-    [2883, 2974, 3137],
-    [2871, 2962, 3123],
-    [2860, 2866, 3118, 3112],
-    [2866, 2968, 3118],
-    [2860, 2959, 3112],
-    [2841, 2847, 3094, 3084],
-    [2847, 2957, 3094],
-    [2841, 2950, 3084],
-    [3347, 3353, 3359],
-    [3263, 3269, 3359, 3353],
-    [3250, 3257, 3359, 3347],
-    [3125, 3141, 3269, 3359, 3257],
-    [3238, 3251, 3353, 3347],
-    [3113, 3119, 3263, 3353, 3251],
-    [3086, 3097, 3250, 3347, 3238],
-    [3142, 3263, 3269],
-    [2975, 3141, 3269, 3142],
-    [2969, 3119, 3263, 3142],
-    [3111, 3250, 3257],
-    [2963, 3111, 3257, 3125],
-    [3098, 3238, 3251],
-    [2960, 3098, 3251, 3113],
-    [2958, 3097, 3250, 3111],
-    [2951, 3086, 3238, 3098],
-    [2789, 2795, 2975, 3142, 2969],
-    [2873, 2885, 3141, 3125],
-    [2885, 2975, 3141],
-    [2873, 2963, 3125],
-    [2861, 2867, 3119, 3113],
-    [2867, 2969, 3119],
-    [2861, 2960, 3113],
-    [2843, 2849, 3097, 3086],
-    [2849, 2958, 3097],
-    [2843, 2951, 3086],
-    [3360, 3366, 3372],
-    [3288, 3301, 3372, 3366],
-    [3282, 3289, 3372, 3360],
-    [3172, 3183, 3301, 3372, 3289],
-    [3270, 3276, 3366, 3360],
-    [3150, 3156, 3288, 3366, 3276],
-    [3128, 3144, 3282, 3360, 3270],
-    [3171, 3288, 3301],
-    [2988, 3171, 3301, 3183],
-    [3158, 3282, 3289],
-    [2981, 3158, 3289, 3172],
-    [2979, 3156, 3288, 3171],
-    [2976, 3144, 3282, 3158],
-    [3127, 3270, 3276],
-    [2970, 3127, 3276, 3150],
-    [2964, 3127, 3270, 3128],
-    [2910, 2916, 3183, 3172],
-    [2916, 2988, 3183],
-    [2910, 2981, 3172],
-    [2802, 2808, 2988, 3171, 2979],
-    [2796, 2799, 2981, 3158, 2976],
-    [2892, 2898, 3156, 3150],
-    [2898, 2979, 3156],
-    [2892, 2970, 3150],
-    [2874, 2886, 3144, 3128],
-    [2886, 2976, 3144],
-    [2874, 2964, 3128],
-    [3362, 3367, 3374],
-    [3290, 3303, 3374, 3367],
-    [3284, 3292, 3374, 3362],
-    [3175, 3185, 3303, 3374, 3292],
-    [3271, 3277, 3367, 3362],
-    [3151, 3157, 3290, 3367, 3277],
-    [3132, 3146, 3284, 3362, 3271],
-    [3173, 3290, 3303],
-    [2989, 3173, 3303, 3185],
-    [3159, 3284, 3292],
-    [2982, 3159, 3292, 3175],
-    [2980, 3157, 3290, 3173],
-    [2977, 3146, 3284, 3159],
-    [3130, 3271, 3277],
-    [2971, 3130, 3277, 3151],
-    [2965, 3130, 3271, 3132],
-    [2912, 2918, 3185, 3175],
-    [2918, 2989, 3185],
-    [2912, 2982, 3175],
-    [2803, 2809, 2989, 3173, 2980],
-    [2797, 2800, 2982, 3159, 2977],
-    [2893, 2899, 3157, 3151],
-    [2899, 2980, 3157],
-    [2893, 2971, 3151],
-    [2876, 2888, 3146, 3132],
-    [2888, 2977, 3146],
-    [2876, 2965, 3132],
-    [3361, 3368, 3373],
-    [3293, 3304, 3373, 3368],
-    [3283, 3291, 3373, 3361],
-    [3174, 3184, 3304, 3373, 3291],
-    [3272, 3278, 3368, 3361],
-    [3152, 3160, 3293, 3368, 3278],
-    [3131, 3145, 3283, 3361, 3272],
-    [3176, 3293, 3304],
-    [2990, 3176, 3304, 3184],
-    [2983, 3160, 3293, 3176],
-    [3158, 3283, 3291],
-    [2981, 3158, 3291, 3174],
-    [2976, 3145, 3283, 3158],
-    [3133, 3272, 3278],
-    [2972, 3133, 3278, 3152],
-    [2966, 3131, 3272, 3133],
-    [2911, 2917, 3184, 3174],
-    [2917, 2990, 3184],
-    [2804, 2810, 2990, 3176, 2983],
-    [2911, 2981, 3174],
-    [2894, 2900, 3160, 3152],
-    [2900, 2983, 3160],
-    [2894, 2972, 3152],
-    [2875, 2887, 3145, 3131],
-    [2887, 2976, 3145],
-    [2875, 2966, 3131],
-    [3363, 3369, 3375],
-    [3295, 3306, 3375, 3369],
-    [3285, 3294, 3375, 3363],
-    [3177, 3186, 3306, 3375, 3294],
-    [3273, 3279, 3369, 3363],
-    [3154, 3162, 3295, 3369, 3279],
-    [3135, 3147, 3285, 3363, 3273],
-    [3178, 3295, 3306],
-    [2991, 3178, 3306, 3186],
-    [2985, 3162, 3295, 3178],
-    [3159, 3285, 3294],
-    [2982, 3159, 3294, 3177],
-    [2977, 3147, 3285, 3159],
-    [3136, 3273, 3279],
-    [2973, 3136, 3279, 3154],
-    [2967, 3135, 3273, 3136],
-    [2913, 2919, 3186, 3177],
-    [2919, 2991, 3186],
-    [2806, 2811, 2991, 3178, 2985],
-    [2913, 2982, 3177],
-    [2896, 2902, 3162, 3154],
-    [2902, 2985, 3162],
-    [2896, 2973, 3154],
-    [2877, 2889, 3147, 3135],
-    [2889, 2977, 3147],
-    [2877, 2967, 3135],
-    [3364, 3370, 3376],
-    [3296, 3309, 3376, 3370],
-    [3286, 3297, 3376, 3364],
-    [3180, 3187, 3309, 3376, 3297],
-    [3274, 3280, 3370, 3364],
-    [3153, 3161, 3296, 3370, 3280],
-    [3140, 3148, 3286, 3364, 3274],
-    [3179, 3296, 3309],
-    [2992, 3179, 3309, 3187],
-    [3164, 3286, 3297],
-    [2987, 3164, 3297, 3180],
-    [2984, 3161, 3296, 3179],
-    [2978, 3148, 3286, 3164],
-    [3139, 3274, 3280],
-    [2974, 3139, 3280, 3153],
-    [2968, 3139, 3274, 3140],
-    [2914, 2920, 3187, 3180],
-    [2920, 2992, 3187],
-    [2914, 2987, 3180],
-    [2805, 2812, 2992, 3179, 2984],
-    [2798, 2801, 2987, 3164, 2978],
-    [2895, 2901, 3161, 3153],
-    [2901, 2984, 3161],
-    [2895, 2974, 3153],
-    [2878, 2890, 3148, 3140],
-    [2890, 2978, 3148],
-    [2878, 2968, 3140],
-    [3365, 3371, 3377],
-    [3298, 3311, 3377, 3371],
-    [3287, 3299, 3377, 3365],
-    [3182, 3188, 3311, 3377, 3299],
-    [3275, 3281, 3371, 3365],
-    [3155, 3163, 3298, 3371, 3281],
-    [3143, 3149, 3287, 3365, 3275],
-    [3181, 3298, 3311],
-    [2993, 3181, 3311, 3188],
-    [3164, 3287, 3299],
-    [2987, 3164, 3299, 3182],
-    [2986, 3163, 3298, 3181],
-    [2978, 3149, 3287, 3164],
-    [3142, 3275, 3281],
-    [2975, 3142, 3281, 3155],
-    [2969, 3142, 3275, 3143],
-    [2915, 2921, 3188, 3182],
-    [2921, 2993, 3188],
-    [2915, 2987, 3182],
-    [2807, 2813, 2993, 3181, 2986],
-    [2897, 2903, 3163, 3155],
-    [2903, 2986, 3163],
-    [2897, 2975, 3155],
-    [2879, 2891, 3149, 3143],
-    [2891, 2978, 3149],
-    [2879, 2969, 3143],
-    [3378, 3381, 3382],
-    [3318, 3319, 3382, 3381],
-    [3302, 3313, 3382, 3378],
-    [3190, 3196, 3319, 3382, 3313],
-    [3300, 3312, 3381, 3378],
-    [3189, 3195, 3318, 3381, 3312],
-    [3165, 3166, 3302, 3378, 3300],
-    [3201, 3318, 3319],
-    [2995, 3196, 3319, 3201],
-    [2994, 3195, 3318, 3201],
-    [3173, 3302, 3313],
-    [2989, 3173, 3313, 3190],
-    [3171, 3300, 3312],
-    [2988, 3171, 3312, 3189],
-    [2980, 3166, 3302, 3173],
-    [2979, 3165, 3300, 3171],
-    [2814, 2815, 2995, 3201, 2994],
-    [2923, 2929, 3196, 3190],
-    [2929, 2995, 3196],
-    [2922, 2928, 3195, 3189],
-    [2928, 2994, 3195],
-    [2923, 2989, 3190],
-    [2922, 2988, 3189],
-    [2904, 2905, 3166, 3165],
-    [2905, 2980, 3166],
-    [2904, 2979, 3165],
-    [3379, 3383, 3384],
-    [3320, 3321, 3384, 3383],
-    [3307, 3316, 3384, 3379],
-    [3193, 3199, 3321, 3384, 3316],
-    [3305, 3314, 3383, 3379],
-    [3191, 3197, 3320, 3383, 3314],
-    [3167, 3168, 3307, 3379, 3305],
-    [3206, 3320, 3321],
-    [2998, 3199, 3321, 3206],
-    [2996, 3197, 3320, 3206],
-    [3179, 3307, 3316],
-    [2992, 3179, 3316, 3193],
-    [3176, 3305, 3314],
-    [2990, 3176, 3314, 3191],
-    [2984, 3168, 3307, 3179],
-    [2983, 3167, 3305, 3176],
-    [2816, 2817, 2998, 3206, 2996],
-    [2926, 2932, 3199, 3193],
-    [2932, 2998, 3199],
-    [2924, 2930, 3197, 3191],
-    [2930, 2996, 3197],
-    [2926, 2992, 3193],
-    [2924, 2990, 3191],
-    [2906, 2907, 3168, 3167],
-    [2907, 2984, 3168],
-    [2906, 2983, 3167],
-    [3380, 3385, 3386],
-    [3322, 3323, 3386, 3385],
-    [3310, 3317, 3386, 3380],
-    [3194, 3200, 3323, 3386, 3317],
-    [3308, 3315, 3385, 3380],
-    [3192, 3198, 3322, 3385, 3315],
-    [3169, 3170, 3310, 3380, 3308],
-    [3207, 3322, 3323],
-    [2999, 3200, 3323, 3207],
-    [2997, 3198, 3322, 3207],
-    [3181, 3310, 3317],
-    [2993, 3181, 3317, 3194],
-    [3178, 3308, 3315],
-    [2991, 3178, 3315, 3192],
-    [2986, 3170, 3310, 3181],
-    [2985, 3169, 3308, 3178],
-    [2818, 2819, 2999, 3207, 2997],
-    [2927, 2933, 3200, 3194],
-    [2933, 2999, 3200],
-    [2925, 2931, 3198, 3192],
-    [2931, 2997, 3198],
-    [2927, 2993, 3194],
-    [2925, 2991, 3192],
-    [2908, 2909, 3170, 3169],
-    [2909, 2986, 3170],
-    [2908, 2985, 3169],
-    [3387, 3388, 3389],
-    [3327, 3329, 3389, 3388],
-    [3326, 3328, 3389, 3387],
-    [3208, 3209, 3329, 3389, 3328],
-    [3324, 3325, 3388, 3387],
-    [3204, 3205, 3327, 3388, 3325],
-    [3202, 3203, 3326, 3387, 3324],
-    [3207, 3327, 3329],
-    [2999, 3207, 3329, 3209],
-    [3206, 3326, 3328],
-    [2998, 3206, 3328, 3208],
-    [2997, 3205, 3327, 3207],
-    [2996, 3203, 3326, 3206],
-    [3201, 3324, 3325],
-    [2995, 3201, 3325, 3204],
-    [2994, 3201, 3324, 3202],
-    [2938, 2939, 3209, 3208],
-    [2939, 2999, 3209],
-    [2938, 2998, 3208],
-    [2936, 2937, 3205, 3204],
-    [2937, 2997, 3205],
-    [2936, 2995, 3204],
-    [2934, 2935, 3203, 3202],
-    [2935, 2996, 3203],
-    [2934, 2994, 3202],
-    [3000, 3060, 3069],
-    [2940, 3060, 3069],
-    [2826, 3000, 3069],
-    [2820, 3000, 3060],
-    [3001, 3061, 3070],
-    [2941, 3061, 3070],
-    [2827, 3001, 3070],
-    [2821, 3001, 3061],
-    [3002, 3064, 3071],
-    [2942, 3064, 3071],
-    [2828, 3002, 3071],
-    [2822, 3002, 3064],
-    [3004, 3066, 3072],
-    [2943, 3066, 3072],
-    [2829, 3004, 3072],
-    [2824, 3004, 3066],
-    [3003, 3065, 3073],
-    [2944, 3065, 3073],
-    [2830, 3003, 3073],
-    [2823, 3003, 3065],
-    [3005, 3067, 3074],
-    [2945, 3067, 3074],
-    [2831, 3005, 3074],
-    [2825, 3005, 3067],
-    [3006, 3075, 3081],
-    [2946, 3075, 3081],
-    [2838, 3006, 3081],
-    [2832, 3006, 3075],
-    [3007, 3076, 3082],
-    [2947, 3076, 3082],
-    [2839, 3007, 3082],
-    [2833, 3007, 3076],
-    [3008, 3077, 3083],
-    [2948, 3077, 3083],
-    [2840, 3008, 3083],
-    [2834, 3008, 3077],
-    [3010, 3078, 3085],
-    [2949, 3078, 3085],
-    [2842, 3010, 3085],
-    [2835, 3010, 3078],
-    [3009, 3079, 3084],
-    [2950, 3079, 3084],
-    [2841, 3009, 3084],
-    [2836, 3009, 3079],
-    [3011, 3080, 3086],
-    [2951, 3080, 3086],
-    [2843, 3011, 3086],
-    [2837, 3011, 3080],
-    [3012, 3087, 3089],
-    [2952, 3087, 3089],
-    [2845, 3012, 3089],
-    [2844, 3012, 3087],
-    [3013, 3092, 3094],
-    [2957, 3092, 3094],
-    [2847, 3013, 3094],
-    [2846, 3013, 3092],
-    [3014, 3095, 3097],
-    [2958, 3095, 3097],
-    [2849, 3014, 3097],
-    [2848, 3014, 3095],
-    [3015, 3099, 3106],
-    [2953, 3099, 3106],
-    [2856, 3015, 3106],
-    [2850, 3015, 3099],
-    [3016, 3100, 3107],
-    [2954, 3100, 3107],
-    [2857, 3016, 3107],
-    [2851, 3016, 3100],
-    [3017, 3101, 3108],
-    [2955, 3101, 3108],
-    [2858, 3017, 3108],
-    [2852, 3017, 3101],
-    [3018, 3102, 3109],
-    [2956, 3102, 3109],
-    [2859, 3018, 3109],
-    [2853, 3018, 3102],
-    [3019, 3103, 3112],
-    [2959, 3103, 3112],
-    [2860, 3019, 3112],
-    [2854, 3019, 3103],
-    [3020, 3104, 3113],
-    [2960, 3104, 3113],
-    [2861, 3020, 3113],
-    [2855, 3020, 3104],
-    [3030, 3120, 3121],
-    [2961, 3120, 3121],
-    [2869, 3030, 3121],
-    [2868, 3030, 3120],
-    [3021, 3114, 3128],
-    [2964, 3114, 3128],
-    [2874, 3021, 3128],
-    [2862, 3021, 3114],
-    [3022, 3115, 3131],
-    [2966, 3115, 3131],
-    [2875, 3022, 3131],
-    [2863, 3022, 3115],
-    [3023, 3116, 3132],
-    [2965, 3116, 3132],
-    [2876, 3023, 3132],
-    [2864, 3023, 3116],
-    [3024, 3117, 3135],
-    [2967, 3117, 3135],
-    [2877, 3024, 3135],
-    [2865, 3024, 3117],
-    [3031, 3122, 3123],
-    [2962, 3122, 3123],
-    [2871, 3031, 3123],
-    [2870, 3031, 3122],
-    [3032, 3124, 3125],
-    [2963, 3124, 3125],
-    [2873, 3032, 3125],
-    [2872, 3032, 3124],
-    [3025, 3118, 3140],
-    [2968, 3118, 3140],
-    [2878, 3025, 3140],
-    [2866, 3025, 3118],
-    [3026, 3119, 3143],
-    [2969, 3119, 3143],
-    [2879, 3026, 3143],
-    [2867, 3026, 3119],
-    [3033, 3126, 3150],
-    [2970, 3126, 3150],
-    [2892, 3033, 3150],
-    [2880, 3033, 3126],
-    [3034, 3129, 3151],
-    [2971, 3129, 3151],
-    [2893, 3034, 3151],
-    [2881, 3034, 3129],
-    [3027, 3144, 3145],
-    [2976, 3144, 3145],
-    [2887, 3027, 3145],
-    [2886, 3027, 3144],
-    [3028, 3146, 3147],
-    [2977, 3146, 3147],
-    [2889, 3028, 3147],
-    [2888, 3028, 3146],
-    [3035, 3134, 3152],
-    [2972, 3134, 3152],
-    [2894, 3035, 3152],
-    [2882, 3035, 3134],
-    [3036, 3137, 3153],
-    [2974, 3137, 3153],
-    [2895, 3036, 3153],
-    [2883, 3036, 3137],
-    [3037, 3138, 3154],
-    [2973, 3138, 3154],
-    [2896, 3037, 3154],
-    [2884, 3037, 3138],
-    [3038, 3141, 3155],
-    [2975, 3141, 3155],
-    [2897, 3038, 3155],
-    [2885, 3038, 3141],
-    [3029, 3148, 3149],
-    [2978, 3148, 3149],
-    [2891, 3029, 3149],
-    [2890, 3029, 3148],
-    [3039, 3156, 3165],
-    [2979, 3156, 3165],
-    [2904, 3039, 3165],
-    [2898, 3039, 3156],
-    [3040, 3157, 3166],
-    [2980, 3157, 3166],
-    [2905, 3040, 3166],
-    [2899, 3040, 3157],
-    [3041, 3160, 3167],
-    [2983, 3160, 3167],
-    [2906, 3041, 3167],
-    [2900, 3041, 3160],
-    [3042, 3161, 3168],
-    [2984, 3161, 3168],
-    [2907, 3042, 3168],
-    [2901, 3042, 3161],
-    [3043, 3162, 3169],
-    [2985, 3162, 3169],
-    [2908, 3043, 3169],
-    [2902, 3043, 3162],
-    [3044, 3163, 3170],
-    [2986, 3163, 3170],
-    [2909, 3044, 3170],
-    [2903, 3044, 3163],
-    [3045, 3172, 3174],
-    [2981, 3172, 3174],
-    [2911, 3045, 3174],
-    [2910, 3045, 3172],
-    [3046, 3175, 3177],
-    [2982, 3175, 3177],
-    [2913, 3046, 3177],
-    [2912, 3046, 3175],
-    [3047, 3180, 3182],
-    [2987, 3180, 3182],
-    [2915, 3047, 3182],
-    [2914, 3047, 3180],
-    [3048, 3183, 3189],
-    [2988, 3183, 3189],
-    [2922, 3048, 3189],
-    [2916, 3048, 3183],
-    [3050, 3185, 3190],
-    [2989, 3185, 3190],
-    [2923, 3050, 3190],
-    [2918, 3050, 3185],
-    [3049, 3184, 3191],
-    [2990, 3184, 3191],
-    [2924, 3049, 3191],
-    [2917, 3049, 3184],
-    [3051, 3186, 3192],
-    [2991, 3186, 3192],
-    [2925, 3051, 3192],
-    [2919, 3051, 3186],
-    [3052, 3187, 3193],
-    [2992, 3187, 3193],
-    [2926, 3052, 3193],
-    [2920, 3052, 3187],
-    [3053, 3188, 3194],
-    [2993, 3188, 3194],
-    [2927, 3053, 3194],
-    [2921, 3053, 3188],
-    [3054, 3195, 3202],
-    [2994, 3195, 3202],
-    [2934, 3054, 3202],
-    [2928, 3054, 3195],
-    [3056, 3196, 3204],
-    [2995, 3196, 3204],
-    [2936, 3056, 3204],
-    [2929, 3056, 3196],
-    [3055, 3197, 3203],
-    [2996, 3197, 3203],
-    [2935, 3055, 3203],
-    [2930, 3055, 3197],
-    [3057, 3198, 3205],
-    [2997, 3198, 3205],
-    [2937, 3057, 3205],
-    [2931, 3057, 3198],
-    [3058, 3199, 3208],
-    [2998, 3199, 3208],
-    [2938, 3058, 3208],
-    [2932, 3058, 3199],
-    [3059, 3200, 3209],
-    [2999, 3200, 3209],
-    [2939, 3059, 3209],
-    [2933, 3059, 3200],
-    [3000, 3001, 3061, 3060],
-    [3002, 3003, 3065, 3064],
-    [3004, 3005, 3067, 3066],
-    [3000, 3006, 3075, 3069],
-    [3001, 3007, 3076, 3070],
-    [3002, 3008, 3077, 3071],
-    [3004, 3010, 3078, 3072],
-    [3003, 3009, 3079, 3073],
-    [3005, 3011, 3080, 3074],
-    [3006, 3012, 3087, 3081],
-    [3007, 3012, 3089, 3082],
-    [3008, 3013, 3092, 3083],
-    [3009, 3013, 3094, 3084],
-    [3010, 3014, 3095, 3085],
-    [3011, 3014, 3097, 3086],
-    [3015, 3016, 3100, 3099],
-    [3017, 3018, 3102, 3101],
-    [3019, 3020, 3104, 3103],
-    [3015, 3021, 3114, 3106],
-    [3016, 3022, 3115, 3107],
-    [3017, 3023, 3116, 3108],
-    [3018, 3024, 3117, 3109],
-    [3019, 3025, 3118, 3112],
-    [3020, 3026, 3119, 3113],
-    [3030, 3033, 3126, 3120],
-    [3030, 3034, 3129, 3121],
-    [3021, 3027, 3144, 3128],
-    [3022, 3027, 3145, 3131],
-    [3023, 3028, 3146, 3132],
-    [3024, 3028, 3147, 3135],
-    [3031, 3035, 3134, 3122],
-    [3031, 3036, 3137, 3123],
-    [3032, 3037, 3138, 3124],
-    [3032, 3038, 3141, 3125],
-    [3025, 3029, 3148, 3140],
-    [3026, 3029, 3149, 3143],
-    [3033, 3039, 3156, 3150],
-    [3034, 3040, 3157, 3151],
-    [3035, 3041, 3160, 3152],
-    [3036, 3042, 3161, 3153],
-    [3037, 3043, 3162, 3154],
-    [3038, 3044, 3163, 3155],
-    [3039, 3040, 3166, 3165],
-    [3041, 3042, 3168, 3167],
-    [3043, 3044, 3170, 3169],
-    [3045, 3048, 3183, 3172],
-    [3045, 3049, 3184, 3174],
-    [3046, 3050, 3185, 3175],
-    [3046, 3051, 3186, 3177],
-    [3047, 3052, 3187, 3180],
-    [3047, 3053, 3188, 3182],
-    [3048, 3054, 3195, 3189],
-    [3050, 3056, 3196, 3190],
-    [3049, 3055, 3197, 3191],
-    [3051, 3057, 3198, 3192],
-    [3052, 3058, 3199, 3193],
-    [3053, 3059, 3200, 3194],
-    [3054, 3055, 3203, 3202],
-    [3056, 3057, 3205, 3204],
-    [3058, 3059, 3209, 3208],
-    [3062, 3210, 3216],
-    [3060, 3069, 3216, 3210],
-    [3061, 3070, 3218, 3211],
-    [3063, 3211, 3218],
-    [3062, 3212, 3217],
-    [3064, 3071, 3217, 3212],
-    [3063, 3213, 3219],
-    [3066, 3072, 3219, 3213],
-    [3068, 3214, 3220],
-    [3065, 3073, 3220, 3214],
-    [3068, 3215, 3221],
-    [3067, 3074, 3221, 3215],
-    [3088, 3222, 3228],
-    [3075, 3081, 3228, 3222],
-    [3076, 3082, 3230, 3223],
-    [3090, 3223, 3230],
-    [3077, 3083, 3233, 3224],
-    [3091, 3224, 3233],
-    [3078, 3085, 3235, 3225],
-    [3093, 3225, 3235],
-    [3096, 3226, 3236],
-    [3079, 3084, 3236, 3226],
-    [3098, 3227, 3238],
-    [3080, 3086, 3238, 3227],
-    [3087, 3089, 3242, 3240],
-    [3105, 3240, 3242],
-    [3088, 3229, 3241],
-    [3099, 3106, 3241, 3229],
-    [3100, 3107, 3244, 3231],
-    [3091, 3231, 3244],
-    [3090, 3232, 3243],
-    [3101, 3108, 3243, 3232],
-    [3093, 3234, 3246],
-    [3102, 3109, 3246, 3234],
-    [3092, 3094, 3247, 3245],
-    [3110, 3245, 3247],
-    [3095, 3097, 3250, 3248],
-    [3111, 3248, 3250],
-    [3103, 3112, 3249, 3237],
-    [3096, 3237, 3249],
-    [3098, 3239, 3251],
-    [3104, 3113, 3251, 3239],
-    [3105, 3252, 3253],
-    [3120, 3121, 3253, 3252],
-    [3110, 3254, 3255],
-    [3122, 3123, 3255, 3254],
-    [3111, 3256, 3257],
-    [3124, 3125, 3257, 3256],
-    [3127, 3258, 3270],
-    [3114, 3128, 3270, 3258],
-    [3130, 3259, 3271],
-    [3116, 3132, 3271, 3259],
-    [3115, 3131, 3272, 3260],
-    [3133, 3260, 3272],
-    [3136, 3261, 3273],
-    [3117, 3135, 3273, 3261],
-    [3118, 3140, 3274, 3262],
-    [3139, 3262, 3274],
-    [3142, 3263, 3275],
-    [3119, 3143, 3275, 3263],
-    [3127, 3264, 3276],
-    [3126, 3150, 3276, 3264],
-    [3129, 3151, 3277, 3265],
-    [3130, 3265, 3277],
-    [3133, 3266, 3278],
-    [3134, 3152, 3278, 3266],
-    [3138, 3154, 3279, 3267],
-    [3136, 3267, 3279],
-    [3139, 3268, 3280],
-    [3137, 3153, 3280, 3268],
-    [3142, 3269, 3281],
-    [3141, 3155, 3281, 3269],
-    [3158, 3282, 3283],
-    [3144, 3145, 3283, 3282],
-    [3159, 3284, 3285],
-    [3146, 3147, 3285, 3284],
-    [3164, 3286, 3287],
-    [3148, 3149, 3287, 3286],
-    [3171, 3288, 3300],
-    [3156, 3165, 3300, 3288],
-    [3157, 3166, 3302, 3290],
-    [3173, 3290, 3302],
-    [3172, 3174, 3291, 3289],
-    [3158, 3289, 3291],
-    [3175, 3177, 3294, 3292],
-    [3159, 3292, 3294],
-    [3176, 3293, 3305],
-    [3160, 3167, 3305, 3293],
-    [3179, 3296, 3307],
-    [3161, 3168, 3307, 3296],
-    [3162, 3169, 3308, 3295],
-    [3178, 3295, 3308],
-    [3181, 3298, 3310],
-    [3163, 3170, 3310, 3298],
-    [3180, 3182, 3299, 3297],
-    [3164, 3297, 3299],
-    [3171, 3301, 3312],
-    [3183, 3189, 3312, 3301],
-    [3173, 3303, 3313],
-    [3185, 3190, 3313, 3303],
-    [3184, 3191, 3314, 3304],
-    [3176, 3304, 3314],
-    [3186, 3192, 3315, 3306],
-    [3178, 3306, 3315],
-    [3187, 3193, 3316, 3309],
-    [3179, 3309, 3316],
-    [3181, 3311, 3317],
-    [3188, 3194, 3317, 3311],
-    [3201, 3318, 3324],
-    [3195, 3202, 3324, 3318],
-    [3201, 3319, 3325],
-    [3196, 3204, 3325, 3319],
-    [3206, 3320, 3326],
-    [3197, 3203, 3326, 3320],
-    [3207, 3322, 3327],
-    [3198, 3205, 3327, 3322],
-    [3199, 3208, 3328, 3321],
-    [3206, 3321, 3328],
-    [3207, 3323, 3329],
-    [3200, 3209, 3329, 3323],
-    [3216, 3217, 3390],
-    [3212, 3217, 3390],
-    [3210, 3216, 3390],
-    [3210, 3212, 3390],
-    [3218, 3219, 3391],
-    [3213, 3219, 3391],
-    [3211, 3218, 3391],
-    [3211, 3213, 3391],
-    [3220, 3221, 3392],
-    [3215, 3221, 3392],
-    [3214, 3220, 3392],
-    [3214, 3215, 3392],
-    [3229, 3241, 3393],
-    [3228, 3241, 3393],
-    [3222, 3229, 3393],
-    [3222, 3228, 3393],
-    [3232, 3243, 3394],
-    [3230, 3243, 3394],
-    [3223, 3232, 3394],
-    [3223, 3230, 3394],
-    [3233, 3244, 3395],
-    [3231, 3244, 3395],
-    [3224, 3233, 3395],
-    [3224, 3231, 3395],
-    [3235, 3246, 3396],
-    [3234, 3246, 3396],
-    [3225, 3235, 3396],
-    [3225, 3234, 3396],
-    [3237, 3249, 3397],
-    [3236, 3249, 3397],
-    [3226, 3237, 3397],
-    [3226, 3236, 3397],
-    [3239, 3251, 3398],
-    [3238, 3251, 3398],
-    [3227, 3239, 3398],
-    [3227, 3238, 3398],
-    [3252, 3253, 3399],
-    [3242, 3253, 3399],
-    [3240, 3252, 3399],
-    [3240, 3242, 3399],
-    [3254, 3255, 3400],
-    [3247, 3255, 3400],
-    [3245, 3254, 3400],
-    [3245, 3247, 3400],
-    [3256, 3257, 3401],
-    [3250, 3257, 3401],
-    [3248, 3256, 3401],
-    [3248, 3250, 3401],
-    [3270, 3276, 3402],
-    [3264, 3276, 3402],
-    [3258, 3270, 3402],
-    [3258, 3264, 3402],
-    [3271, 3277, 3403],
-    [3265, 3277, 3403],
-    [3259, 3271, 3403],
-    [3259, 3265, 3403],
-    [3272, 3278, 3404],
-    [3266, 3278, 3404],
-    [3260, 3272, 3404],
-    [3260, 3266, 3404],
-    [3273, 3279, 3405],
-    [3267, 3279, 3405],
-    [3261, 3273, 3405],
-    [3261, 3267, 3405],
-    [3274, 3280, 3406],
-    [3268, 3280, 3406],
-    [3262, 3274, 3406],
-    [3262, 3268, 3406],
-    [3275, 3281, 3407],
-    [3269, 3281, 3407],
-    [3263, 3275, 3407],
-    [3263, 3269, 3407],
-    [3289, 3291, 3408],
-    [3283, 3291, 3408],
-    [3282, 3289, 3408],
-    [3282, 3283, 3408],
-    [3292, 3294, 3409],
-    [3285, 3294, 3409],
-    [3284, 3292, 3409],
-    [3284, 3285, 3409],
-    [3297, 3299, 3410],
-    [3287, 3299, 3410],
-    [3286, 3297, 3410],
-    [3286, 3287, 3410],
-    [3301, 3312, 3411],
-    [3300, 3312, 3411],
-    [3288, 3301, 3411],
-    [3288, 3300, 3411],
-    [3303, 3313, 3412],
-    [3302, 3313, 3412],
-    [3290, 3303, 3412],
-    [3290, 3302, 3412],
-    [3305, 3314, 3413],
-    [3304, 3314, 3413],
-    [3293, 3305, 3413],
-    [3293, 3304, 3413],
-    [3308, 3315, 3414],
-    [3306, 3315, 3414],
-    [3295, 3308, 3414],
-    [3295, 3306, 3414],
-    [3309, 3316, 3415],
-    [3307, 3316, 3415],
-    [3296, 3309, 3415],
-    [3296, 3307, 3415],
-    [3311, 3317, 3416],
-    [3310, 3317, 3416],
-    [3298, 3311, 3416],
-    [3298, 3310, 3416],
-    [3324, 3325, 3417],
-    [3319, 3325, 3417],
-    [3318, 3324, 3417],
-    [3318, 3319, 3417],
-    [3326, 3328, 3418],
-    [3321, 3328, 3418],
-    [3320, 3326, 3418],
-    [3320, 3321, 3418],
-    [3327, 3329, 3419],
-    [3323, 3329, 3419],
-    [3322, 3327, 3419],
-    [3322, 3323, 3419],
-    [3212, 3331, 3420, 3390],
-    [3330, 3331, 3420],
-    [3210, 3330, 3420, 3390],
-    [3330, 3332, 3421],
-    [3213, 3332, 3421, 3391],
-    [3211, 3330, 3421, 3391],
-    [3214, 3331, 3422, 3392],
-    [3215, 3332, 3422, 3392],
-    [3331, 3332, 3422],
-    [3216, 3333, 3423, 3390],
-    [3217, 3334, 3423, 3390],
-    [3333, 3334, 3423],
-    [3335, 3336, 3424],
-    [3218, 3335, 3424, 3391],
-    [3219, 3336, 3424, 3391],
-    [3221, 3338, 3425, 3392],
-    [3220, 3337, 3425, 3392],
-    [3337, 3338, 3425],
-    [3222, 3333, 3426, 3393],
-    [3229, 3339, 3426, 3393],
-    [3333, 3339, 3426],
-    [3334, 3339, 3427],
-    [3224, 3334, 3427, 3395],
-    [3231, 3339, 3427, 3395],
-    [3223, 3335, 3428, 3394],
-    [3335, 3340, 3428],
-    [3232, 3340, 3428, 3394],
-    [3225, 3336, 3429, 3396],
-    [3336, 3340, 3429],
-    [3234, 3340, 3429, 3396],
-    [3337, 3341, 3430],
-    [3226, 3337, 3430, 3397],
-    [3237, 3341, 3430, 3397],
-    [3227, 3338, 3431, 3398],
-    [3338, 3341, 3431],
-    [3239, 3341, 3431, 3398],
-    [3241, 3348, 3432, 3393],
-    [3228, 3342, 3432, 3393],
-    [3342, 3348, 3432],
-    [3230, 3343, 3433, 3394],
-    [3343, 3349, 3433],
-    [3243, 3349, 3433, 3394],
-    [3233, 3344, 3434, 3395],
-    [3244, 3350, 3434, 3395],
-    [3344, 3350, 3434],
-    [3235, 3346, 3435, 3396],
-    [3346, 3351, 3435],
-    [3246, 3351, 3435, 3396],
-    [3249, 3352, 3436, 3397],
-    [3345, 3352, 3436],
-    [3236, 3345, 3436, 3397],
-    [3251, 3353, 3437, 3398],
-    [3347, 3353, 3437],
-    [3238, 3347, 3437, 3398],
-    [3342, 3354, 3438],
-    [3252, 3354, 3438, 3399],
-    [3240, 3342, 3438, 3399],
-    [3343, 3355, 3439],
-    [3242, 3343, 3439, 3399],
-    [3253, 3355, 3439, 3399],
-    [3245, 3344, 3440, 3400],
-    [3344, 3356, 3440],
-    [3254, 3356, 3440, 3400],
-    [3345, 3357, 3441],
-    [3247, 3345, 3441, 3400],
-    [3255, 3357, 3441, 3400],
-    [3248, 3346, 3442, 3401],
-    [3346, 3358, 3442],
-    [3256, 3358, 3442, 3401],
-    [3347, 3359, 3443],
-    [3257, 3359, 3443, 3401],
-    [3250, 3347, 3443, 3401],
-    [3258, 3348, 3444, 3402],
-    [3264, 3354, 3444, 3402],
-    [3348, 3354, 3444],
-    [3265, 3355, 3445, 3403],
-    [3349, 3355, 3445],
-    [3259, 3349, 3445, 3403],
-    [3260, 3350, 3446, 3404],
-    [3350, 3356, 3446],
-    [3266, 3356, 3446, 3404],
-    [3351, 3358, 3447],
-    [3267, 3358, 3447, 3405],
-    [3261, 3351, 3447, 3405],
-    [3262, 3352, 3448, 3406],
-    [3352, 3357, 3448],
-    [3268, 3357, 3448, 3406],
-    [3263, 3353, 3449, 3407],
-    [3269, 3359, 3449, 3407],
-    [3353, 3359, 3449],
-    [3276, 3366, 3450, 3402],
-    [3270, 3360, 3450, 3402],
-    [3360, 3366, 3450],
-    [3277, 3367, 3451, 3403],
-    [3362, 3367, 3451],
-    [3271, 3362, 3451, 3403],
-    [3361, 3368, 3452],
-    [3272, 3361, 3452, 3404],
-    [3278, 3368, 3452, 3404],
-    [3279, 3369, 3453, 3405],
-    [3363, 3369, 3453],
-    [3273, 3363, 3453, 3405],
-    [3274, 3364, 3454, 3406],
-    [3364, 3370, 3454],
-    [3280, 3370, 3454, 3406],
-    [3281, 3371, 3455, 3407],
-    [3275, 3365, 3455, 3407],
-    [3365, 3371, 3455],
-    [3360, 3372, 3456],
-    [3282, 3360, 3456, 3408],
-    [3289, 3372, 3456, 3408],
-    [3291, 3373, 3457, 3408],
-    [3361, 3373, 3457],
-    [3283, 3361, 3457, 3408],
-    [3362, 3374, 3458],
-    [3292, 3374, 3458, 3409],
-    [3284, 3362, 3458, 3409],
-    [3294, 3375, 3459, 3409],
-    [3363, 3375, 3459],
-    [3285, 3363, 3459, 3409],
-    [3364, 3376, 3460],
-    [3297, 3376, 3460, 3410],
-    [3286, 3364, 3460, 3410],
-    [3365, 3377, 3461],
-    [3287, 3365, 3461, 3410],
-    [3299, 3377, 3461, 3410],
-    [3288, 3366, 3462, 3411],
-    [3366, 3372, 3462],
-    [3301, 3372, 3462, 3411],
-    [3290, 3367, 3463, 3412],
-    [3367, 3374, 3463],
-    [3303, 3374, 3463, 3412],
-    [3304, 3373, 3464, 3413],
-    [3368, 3373, 3464],
-    [3293, 3368, 3464, 3413],
-    [3295, 3369, 3465, 3414],
-    [3306, 3375, 3465, 3414],
-    [3369, 3375, 3465],
-    [3309, 3376, 3466, 3415],
-    [3370, 3376, 3466],
-    [3296, 3370, 3466, 3415],
-    [3298, 3371, 3467, 3416],
-    [3371, 3377, 3467],
-    [3311, 3377, 3467, 3416],
-    [3312, 3381, 3468, 3411],
-    [3378, 3381, 3468],
-    [3300, 3378, 3468, 3411],
-    [3378, 3382, 3469],
-    [3313, 3382, 3469, 3412],
-    [3302, 3378, 3469, 3412],
-    [3314, 3383, 3470, 3413],
-    [3379, 3383, 3470],
-    [3305, 3379, 3470, 3413],
-    [3316, 3384, 3471, 3415],
-    [3379, 3384, 3471],
-    [3307, 3379, 3471, 3415],
-    [3380, 3385, 3472],
-    [3308, 3380, 3472, 3414],
-    [3315, 3385, 3472, 3414],
-    [3317, 3386, 3473, 3416],
-    [3310, 3380, 3473, 3416],
-    [3380, 3386, 3473],
-    [3318, 3381, 3474, 3417],
-    [3319, 3382, 3474, 3417],
-    [3381, 3382, 3474],
-    [3383, 3384, 3475],
-    [3321, 3384, 3475, 3418],
-    [3320, 3383, 3475, 3418],
-    [3323, 3386, 3476, 3419],
-    [3322, 3385, 3476, 3419],
-    [3385, 3386, 3476],
-    [3325, 3388, 3477, 3417],
-    [3324, 3387, 3477, 3417],
-    [3387, 3388, 3477],
-    [3387, 3389, 3478],
-    [3326, 3387, 3478, 3418],
-    [3328, 3389, 3478, 3418],
-    [3327, 3388, 3479, 3419],
-    [3329, 3389, 3479, 3419],
-    [3388, 3389, 3479],
-    [3420, 3421, 3422],
-    [3332, 3421, 3422],
-    [3331, 3420, 3422],
-    [3330, 3420, 3421],
-    [3423, 3426, 3427],
-    [3339, 3426, 3427],
-    [3334, 3423, 3427],
-    [3333, 3423, 3426],
-    [3424, 3428, 3429],
-    [3340, 3428, 3429],
-    [3336, 3424, 3429],
-    [3335, 3424, 3428],
-    [3425, 3430, 3431],
-    [3341, 3430, 3431],
-    [3338, 3425, 3431],
-    [3337, 3425, 3430],
-    [3432, 3438, 3444],
-    [3354, 3438, 3444],
-    [3348, 3432, 3444],
-    [3342, 3432, 3438],
-    [3433, 3439, 3445],
-    [3355, 3439, 3445],
-    [3349, 3433, 3445],
-    [3343, 3433, 3439],
-    [3434, 3440, 3446],
-    [3356, 3440, 3446],
-    [3350, 3434, 3446],
-    [3344, 3434, 3440],
-    [3435, 3442, 3447],
-    [3358, 3442, 3447],
-    [3351, 3435, 3447],
-    [3346, 3435, 3442],
-    [3436, 3441, 3448],
-    [3357, 3441, 3448],
-    [3352, 3436, 3448],
-    [3345, 3436, 3441],
-    [3437, 3443, 3449],
-    [3359, 3443, 3449],
-    [3353, 3437, 3449],
-    [3347, 3437, 3443],
-    [3450, 3456, 3462],
-    [3372, 3456, 3462],
-    [3366, 3450, 3462],
-    [3360, 3450, 3456],
-    [3451, 3458, 3463],
-    [3374, 3458, 3463],
-    [3367, 3451, 3463],
-    [3362, 3451, 3458],
-    [3452, 3457, 3464],
-    [3373, 3457, 3464],
-    [3368, 3452, 3464],
-    [3361, 3452, 3457],
-    [3453, 3459, 3465],
-    [3375, 3459, 3465],
-    [3369, 3453, 3465],
-    [3363, 3453, 3459],
-    [3454, 3460, 3466],
-    [3376, 3460, 3466],
-    [3370, 3454, 3466],
-    [3364, 3454, 3460],
-    [3455, 3461, 3467],
-    [3377, 3461, 3467],
-    [3371, 3455, 3467],
-    [3365, 3455, 3461],
-    [3468, 3469, 3474],
-    [3382, 3469, 3474],
-    [3381, 3468, 3474],
-    [3378, 3468, 3469],
-    [3470, 3471, 3475],
-    [3384, 3471, 3475],
-    [3383, 3470, 3475],
-    [3379, 3470, 3471],
-    [3472, 3473, 3476],
-    [3386, 3473, 3476],
-    [3385, 3472, 3476],
-    [3380, 3472, 3473],
-    [3477, 3478, 3479],
-    [3389, 3478, 3479],
-    [3388, 3477, 3479],
-    [3387, 3477, 3478],
-    [3540, 3543, 3549, 3550, 3544],
-    [3498, 3499, 3550, 3549],
-    [3488, 3493, 3550, 3544],
-    [3493, 3499, 3550],
-    [3486, 3492, 3549, 3543],
-    [3492, 3498, 3549],
-    [3481, 3484, 3544, 3540],
-    [3484, 3488, 3544],
-    [3480, 3483, 3543, 3540],
-    [3483, 3486, 3543],
-    [3480, 3481, 3540],
-    [3399, 3438, 3498, 3499, 3439],
-    [3433, 3439, 3499, 3493],
-    [3432, 3438, 3498, 3492],
-    [3394, 3428, 3488, 3493, 3433],
-    [3393, 3426, 3486, 3492, 3432],
-    [3424, 3428, 3488, 3484],
-    [3423, 3426, 3486, 3483],
-    [3391, 3421, 3481, 3484, 3424],
-    [3390, 3420, 3480, 3483, 3423],
-    [3420, 3421, 3481, 3480],
-    [3541, 3545, 3553, 3554, 3547],
-    [3500, 3501, 3554, 3553],
-    [3490, 3496, 3554, 3547],
-    [3496, 3501, 3554],
-    [3487, 3494, 3553, 3545],
-    [3494, 3500, 3553],
-    [3482, 3485, 3547, 3541],
-    [3485, 3490, 3547],
-    [3480, 3483, 3545, 3541],
-    [3483, 3487, 3545],
-    [3480, 3482, 3541],
-    [3400, 3440, 3500, 3501, 3441],
-    [3436, 3441, 3501, 3496],
-    [3434, 3440, 3500, 3494],
-    [3397, 3430, 3490, 3496, 3436],
-    [3395, 3427, 3487, 3494, 3434],
-    [3425, 3430, 3490, 3485],
-    [3423, 3427, 3487, 3483],
-    [3392, 3422, 3482, 3485, 3425],
-    [3420, 3422, 3482, 3480],
-    [3542, 3546, 3555, 3556, 3548],
-    [3502, 3503, 3556, 3555],
-    [3491, 3497, 3556, 3548],
-    [3497, 3503, 3556],
-    [3489, 3495, 3555, 3546],
-    [3495, 3502, 3555],
-    [3482, 3485, 3548, 3542],
-    [3485, 3491, 3548],
-    [3481, 3484, 3546, 3542],
-    [3484, 3489, 3546],
-    [3481, 3482, 3542],
-    [3401, 3442, 3502, 3503, 3443],
-    [3437, 3443, 3503, 3497],
-    [3435, 3442, 3502, 3495],
-    [3398, 3431, 3491, 3497, 3437],
-    [3396, 3429, 3489, 3495, 3435],
-    [3425, 3431, 3491, 3485],
-    [3424, 3429, 3489, 3484],
-    [3421, 3422, 3482, 3481],
-    [3551, 3558, 3570, 3571, 3560],
-    [3516, 3517, 3571, 3570],
-    [3506, 3512, 3571, 3560],
-    [3512, 3517, 3571],
-    [3504, 3510, 3570, 3558],
-    [3510, 3516, 3570],
-    [3487, 3494, 3560, 3551],
-    [3494, 3506, 3560],
-    [3486, 3492, 3558, 3551],
-    [3492, 3504, 3558],
-    [3486, 3487, 3551],
-    [3408, 3456, 3516, 3517, 3457],
-    [3452, 3457, 3517, 3512],
-    [3450, 3456, 3516, 3510],
-    [3404, 3446, 3506, 3512, 3452],
-    [3402, 3444, 3504, 3510, 3450],
-    [3434, 3446, 3506, 3494],
-    [3432, 3444, 3504, 3492],
-    [3426, 3427, 3487, 3486],
-    [3552, 3559, 3572, 3573, 3561],
-    [3518, 3519, 3573, 3572],
-    [3507, 3513, 3573, 3561],
-    [3513, 3519, 3573],
-    [3505, 3511, 3572, 3559],
-    [3511, 3518, 3572],
-    [3489, 3495, 3561, 3552],
-    [3495, 3507, 3561],
-    [3488, 3493, 3559, 3552],
-    [3493, 3505, 3559],
-    [3488, 3489, 3552],
-    [3409, 3458, 3518, 3519, 3459],
-    [3453, 3459, 3519, 3513],
-    [3451, 3458, 3518, 3511],
-    [3405, 3447, 3507, 3513, 3453],
-    [3403, 3445, 3505, 3511, 3451],
-    [3435, 3447, 3507, 3495],
-    [3433, 3445, 3505, 3493],
-    [3428, 3429, 3489, 3488],
-    [3557, 3562, 3574, 3575, 3563],
-    [3520, 3521, 3575, 3574],
-    [3509, 3515, 3575, 3563],
-    [3515, 3521, 3575],
-    [3508, 3514, 3574, 3562],
-    [3514, 3520, 3574],
-    [3491, 3497, 3563, 3557],
-    [3497, 3509, 3563],
-    [3490, 3496, 3562, 3557],
-    [3496, 3508, 3562],
-    [3490, 3491, 3557],
-    [3410, 3460, 3520, 3521, 3461],
-    [3455, 3461, 3521, 3515],
-    [3454, 3460, 3520, 3514],
-    [3407, 3449, 3509, 3515, 3455],
-    [3406, 3448, 3508, 3514, 3454],
-    [3437, 3449, 3509, 3497],
-    [3436, 3448, 3508, 3496],
-    [3430, 3431, 3491, 3490],
-    [3564, 3565, 3577, 3582, 3576],
-    [3523, 3529, 3582, 3577],
-    [3522, 3528, 3582, 3576],
-    [3528, 3529, 3582],
-    [3505, 3511, 3577, 3565],
-    [3511, 3523, 3577],
-    [3504, 3510, 3576, 3564],
-    [3510, 3522, 3576],
-    [3498, 3499, 3565, 3564],
-    [3499, 3505, 3565],
-    [3498, 3504, 3564],
-    [3468, 3469, 3529, 3528],
-    [3412, 3463, 3523, 3529, 3469],
-    [3411, 3462, 3522, 3528, 3468],
-    [3451, 3463, 3523, 3511],
-    [3450, 3462, 3522, 3510],
-    [3439, 3445, 3505, 3499],
-    [3438, 3444, 3504, 3498],
-    [3566, 3567, 3580, 3587, 3578],
-    [3526, 3531, 3587, 3580],
-    [3524, 3530, 3587, 3578],
-    [3530, 3531, 3587],
-    [3508, 3514, 3580, 3567],
-    [3514, 3526, 3580],
-    [3506, 3512, 3578, 3566],
-    [3512, 3524, 3578],
-    [3500, 3501, 3567, 3566],
-    [3501, 3508, 3567],
-    [3500, 3506, 3566],
-    [3470, 3471, 3531, 3530],
-    [3415, 3466, 3526, 3531, 3471],
-    [3413, 3464, 3524, 3530, 3470],
-    [3454, 3466, 3526, 3514],
-    [3452, 3464, 3524, 3512],
-    [3441, 3448, 3508, 3501],
-    [3440, 3446, 3506, 3500],
-    [3568, 3569, 3581, 3588, 3579],
-    [3527, 3533, 3588, 3581],
-    [3525, 3532, 3588, 3579],
-    [3532, 3533, 3588],
-    [3509, 3515, 3581, 3569],
-    [3515, 3527, 3581],
-    [3507, 3513, 3579, 3568],
-    [3513, 3525, 3579],
-    [3502, 3503, 3569, 3568],
-    [3503, 3509, 3569],
-    [3502, 3507, 3568],
-    [3472, 3473, 3533, 3532],
-    [3416, 3467, 3527, 3533, 3473],
-    [3414, 3465, 3525, 3532, 3472],
-    [3455, 3467, 3527, 3515],
-    [3453, 3465, 3525, 3513],
-    [3443, 3449, 3509, 3503],
-    [3442, 3447, 3507, 3502],
-    [3583, 3584, 3593, 3597, 3591],
-    [3535, 3538, 3597, 3593],
-    [3534, 3537, 3597, 3591],
-    [3537, 3538, 3597],
-    [3524, 3530, 3593, 3584],
-    [3530, 3535, 3593],
-    [3522, 3528, 3591, 3583],
-    [3528, 3534, 3591],
-    [3516, 3517, 3584, 3583],
-    [3517, 3524, 3584],
-    [3516, 3522, 3583],
-    [3477, 3478, 3538, 3537],
-    [3418, 3475, 3535, 3538, 3478],
-    [3417, 3474, 3534, 3537, 3477],
-    [3470, 3475, 3535, 3530],
-    [3468, 3474, 3534, 3528],
-    [3457, 3464, 3524, 3517],
-    [3456, 3462, 3522, 3516],
-    [3585, 3586, 3594, 3598, 3592],
-    [3536, 3539, 3598, 3594],
-    [3534, 3537, 3598, 3592],
-    [3537, 3539, 3598],
-    [3525, 3532, 3594, 3586],
-    [3532, 3536, 3594],
-    [3523, 3529, 3592, 3585],
-    [3529, 3534, 3592],
-    [3518, 3519, 3586, 3585],
-    [3519, 3525, 3586],
-    [3518, 3523, 3585],
-    [3477, 3479, 3539, 3537],
-    [3419, 3476, 3536, 3539, 3479],
-    [3472, 3476, 3536, 3532],
-    [3469, 3474, 3534, 3529],
-    [3459, 3465, 3525, 3519],
-    [3458, 3463, 3523, 3518],
-    [3589, 3590, 3596, 3599, 3595],
-    [3536, 3539, 3599, 3596],
-    [3535, 3538, 3599, 3595],
-    [3538, 3539, 3599],
-    [3527, 3533, 3596, 3590],
-    [3533, 3536, 3596],
-    [3526, 3531, 3595, 3589],
-    [3531, 3535, 3595],
-    [3520, 3521, 3590, 3589],
-    [3521, 3527, 3590],
-    [3520, 3526, 3589],
-    [3478, 3479, 3539, 3538],
-    [3473, 3476, 3536, 3533],
-    [3471, 3475, 3535, 3531],
-    [3461, 3467, 3527, 3521],
-    [3460, 3466, 3526, 3520],
-    [3480, 3481, 3482],
-    [3483, 3486, 3487],
-    [3484, 3488, 3489],
-    [3485, 3490, 3491],
-    [3492, 3498, 3504],
-    [3493, 3499, 3505],
-    [3494, 3500, 3506],
-    [3495, 3502, 3507],
-    [3496, 3501, 3508],
-    [3497, 3503, 3509],
-    [3510, 3516, 3522],
-    [3511, 3518, 3523],
-    [3512, 3517, 3524],
-    [3513, 3519, 3525],
-    [3514, 3520, 3526],
-    [3515, 3521, 3527],
-    [3528, 3529, 3534],
-    [3530, 3531, 3535],
-    [3532, 3533, 3536],
-    [3537, 3538, 3539],
-    [3540, 3541, 3542],
-    [3482, 3541, 3542],
-    [3481, 3540, 3542],
-    [3480, 3540, 3541],
-    [3543, 3545, 3551],
-    [3487, 3545, 3551],
-    [3486, 3543, 3551],
-    [3483, 3543, 3545],
-    [3544, 3546, 3552],
-    [3489, 3546, 3552],
-    [3488, 3544, 3552],
-    [3484, 3544, 3546],
-    [3547, 3548, 3557],
-    [3491, 3548, 3557],
-    [3490, 3547, 3557],
-    [3485, 3547, 3548],
-    [3549, 3558, 3564],
-    [3504, 3558, 3564],
-    [3498, 3549, 3564],
-    [3492, 3549, 3558],
-    [3550, 3559, 3565],
-    [3505, 3559, 3565],
-    [3499, 3550, 3565],
-    [3493, 3550, 3559],
-    [3553, 3560, 3566],
-    [3506, 3560, 3566],
-    [3500, 3553, 3566],
-    [3494, 3553, 3560],
-    [3555, 3561, 3568],
-    [3507, 3561, 3568],
-    [3502, 3555, 3568],
-    [3495, 3555, 3561],
-    [3554, 3562, 3567],
-    [3508, 3562, 3567],
-    [3501, 3554, 3567],
-    [3496, 3554, 3562],
-    [3556, 3563, 3569],
-    [3509, 3563, 3569],
-    [3503, 3556, 3569],
-    [3497, 3556, 3563],
-    [3570, 3576, 3583],
-    [3522, 3576, 3583],
-    [3516, 3570, 3583],
-    [3510, 3570, 3576],
-    [3572, 3577, 3585],
-    [3523, 3577, 3585],
-    [3518, 3572, 3585],
-    [3511, 3572, 3577],
-    [3571, 3578, 3584],
-    [3524, 3578, 3584],
-    [3517, 3571, 3584],
-    [3512, 3571, 3578],
-    [3573, 3579, 3586],
-    [3525, 3579, 3586],
-    [3519, 3573, 3586],
-    [3513, 3573, 3579],
-    [3574, 3580, 3589],
-    [3526, 3580, 3589],
-    [3520, 3574, 3589],
-    [3514, 3574, 3580],
-    [3575, 3581, 3590],
-    [3527, 3581, 3590],
-    [3521, 3575, 3590],
-    [3515, 3575, 3581],
-    [3582, 3591, 3592],
-    [3534, 3591, 3592],
-    [3529, 3582, 3592],
-    [3528, 3582, 3591],
-    [3587, 3593, 3595],
-    [3535, 3593, 3595],
-    [3531, 3587, 3595],
-    [3530, 3587, 3593],
-    [3588, 3594, 3596],
-    [3536, 3594, 3596],
-    [3533, 3588, 3596],
-    [3532, 3588, 3594],
-    [3597, 3598, 3599],
-    [3539, 3598, 3599],
-    [3538, 3597, 3599],
-    [3537, 3597, 3598],
-    [3540, 3541, 3545, 3543],
-    [3540, 3542, 3546, 3544],
-    [3541, 3542, 3548, 3547],
-    [3543, 3549, 3558, 3551],
-    [3544, 3550, 3559, 3552],
-    [3545, 3551, 3560, 3553],
-    [3546, 3552, 3561, 3555],
-    [3547, 3554, 3562, 3557],
-    [3548, 3556, 3563, 3557],
-    [3549, 3550, 3565, 3564],
-    [3553, 3554, 3567, 3566],
-    [3555, 3556, 3569, 3568],
-    [3558, 3564, 3576, 3570],
-    [3559, 3565, 3577, 3572],
-    [3560, 3566, 3578, 3571],
-    [3561, 3568, 3579, 3573],
-    [3562, 3567, 3580, 3574],
-    [3563, 3569, 3581, 3575],
-    [3570, 3571, 3584, 3583],
-    [3572, 3573, 3586, 3585],
-    [3574, 3575, 3590, 3589],
-    [3576, 3582, 3591, 3583],
-    [3577, 3582, 3592, 3585],
-    [3578, 3584, 3593, 3587],
-    [3579, 3586, 3594, 3588],
-    [3580, 3587, 3595, 3589],
-    [3581, 3588, 3596, 3590],
-    [3591, 3592, 3598, 3597],
-    [3593, 3595, 3599, 3597],
-    [3594, 3596, 3599, 3598],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37, 38,
-      39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53, 54, 55, 56,
-      57, 58, 59, 60, 61,
-    ],
-    [60, 62, 63, 64, 65],
-    [59, 66, 67, 68, 69],
-    [58, 70, 71, 72, 73],
-    [51, 74, 75, 76, 77],
-    [50, 78, 79, 80, 81],
-    [49, 82, 83, 84, 85],
-    [48, 86, 87, 88, 89],
-    [47, 90, 91, 92, 93],
-    [46, 94, 95, 96, 97],
-    [43, 98, 99, 100, 101],
-    [40, 102, 103, 104, 105],
-    [37, 106, 107, 108, 109],
-    [33, 110, 111, 112, 113],
-    [32, 114, 115, 116, 117],
-    [31, 118, 119, 120, 121],
-    [30, 122, 123, 124, 125],
-    [29, 126, 127, 128, 129],
-    [28, 130, 131, 132, 133],
-    [24, 134, 135, 136, 137],
-    [21, 138, 139, 140, 141],
-    [16, 142, 143, 144, 145],
-    [15, 146, 147, 148, 149],
-    [14, 150, 151, 152, 153],
-    [12, 154, 155, 156, 157],
-    [11, 158, 159, 160, 161],
-    [10, 162, 163, 164, 165],
-    [8, 166, 167, 168, 169],
-    [4, 170, 171, 172, 173],
-    [2, 174, 175, 176, 177],
-    [1, 178, 179, 180, 181],
-    [182, 183, 184, 70, 185, 66, 62, 61],
-    [186, 187, 188, 82, 189, 75, 63, 56],
-    [190, 191, 192, 87, 193, 80, 67, 55],
-    [194, 195, 196, 94, 197, 90, 71, 52],
-    [198, 199, 200, 110, 201, 98, 74, 45],
-    [202, 203, 204, 115, 205, 99, 81, 44],
-    [206, 207, 208, 120, 209, 104, 83, 42],
-    [210, 211, 212, 123, 213, 107, 88, 39],
-    [214, 215, 216, 128, 217, 103, 91, 41],
-    [218, 219, 220, 131, 221, 106, 95, 38],
-    [222, 223, 224, 146, 225, 134, 111, 26],
-    [226, 227, 228, 151, 229, 139, 116, 23],
-    [230, 231, 232, 156, 233, 135, 119, 25],
-    [234, 235, 236, 159, 237, 140, 124, 22],
-    [238, 239, 240, 164, 241, 143, 127, 18],
-    [242, 243, 244, 166, 245, 142, 130, 17],
-    [246, 247, 248, 171, 249, 150, 147, 13],
-    [250, 251, 252, 175, 253, 165, 155, 9],
-    [254, 255, 256, 179, 257, 167, 158, 7],
-    [258, 259, 260, 178, 261, 174, 170, 0],
-    [182, 262, 263, 264, 265],
-    [186, 266, 267, 268, 269],
-    [190, 270, 271, 272, 273],
-    [194, 274, 275, 276, 277],
-    [198, 278, 279, 280, 281],
-    [202, 282, 283, 284, 285],
-    [206, 286, 287, 288, 289],
-    [210, 290, 291, 292, 293],
-    [214, 294, 295, 296, 297],
-    [218, 298, 299, 300, 301],
-    [222, 302, 303, 304, 305],
-    [226, 306, 307, 308, 309],
-    [230, 310, 311, 312, 313],
-    [234, 314, 315, 316, 317],
-    [238, 318, 319, 320, 321],
-    [242, 322, 323, 324, 325],
-    [246, 326, 327, 328, 329],
-    [250, 330, 331, 332, 333],
-    [254, 334, 335, 336, 337],
-    [258, 338, 339, 340, 341],
-    [
-      342, 343, 344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355, 356,
-      357, 358, 359, 360, 361, 362, 363, 364, 365, 366, 367, 368, 369, 370, 371,
-      372, 373, 374, 375, 376, 377, 378, 379, 380, 381, 382, 383, 384, 385, 386,
-      387, 283, 280, 271, 266, 264, 101, 205, 201, 79, 77, 193, 189, 69, 65,
-      185, 57,
-    ],
-    [
-      388, 389, 390, 391, 392, 393, 394, 395, 396, 397, 398, 399, 400, 401, 402,
-      403, 404, 405, 406, 407, 408, 409, 410, 411, 412, 413, 414, 415, 416, 417,
-      418, 419, 420, 421, 422, 423, 424, 425, 426, 427, 428, 429, 430, 431, 432,
-      387, 296, 287, 275, 267, 262, 105, 217, 209, 92, 84, 197, 188, 72, 64,
-      184, 54,
-    ],
-    [
-      433, 434, 435, 436, 437, 438, 439, 440, 441, 442, 443, 444, 445, 446, 447,
-      448, 449, 450, 451, 452, 453, 454, 455, 456, 457, 458, 459, 460, 461, 462,
-      463, 464, 465, 466, 467, 468, 469, 470, 471, 472, 473, 474, 475, 476, 432,
-      386, 300, 291, 274, 272, 263, 109, 221, 213, 96, 89, 196, 192, 73, 68,
-      183, 53,
-    ],
-    [
-      477, 478, 479, 480, 481, 482, 483, 484, 485, 486, 487, 488, 489, 490, 491,
-      492, 493, 494, 495, 496, 497, 498, 499, 500, 501, 502, 503, 504, 505, 506,
-      507, 508, 509, 510, 511, 512, 513, 514, 515, 516, 517, 518, 519, 520, 431,
-      385, 312, 303, 288, 278, 268, 136, 233, 225, 121, 112, 208, 200, 85, 76,
-      187, 36,
-    ],
-    [
-      521, 522, 523, 524, 525, 526, 527, 528, 529, 530, 531, 532, 533, 534, 535,
-      536, 537, 538, 539, 540, 541, 542, 543, 544, 545, 546, 547, 548, 549, 550,
-      551, 552, 553, 554, 555, 556, 557, 558, 559, 560, 561, 562, 563, 564, 476,
-      384, 314, 306, 290, 282, 270, 138, 237, 229, 122, 114, 212, 204, 86, 78,
-      191, 35,
-    ],
-    [
-      565, 566, 567, 568, 569, 570, 571, 572, 573, 574, 575, 576, 577, 578, 579,
-      580, 581, 582, 583, 584, 585, 586, 587, 588, 589, 590, 591, 592, 593, 594,
-      595, 596, 597, 598, 599, 600, 601, 602, 603, 604, 605, 606, 607, 608, 475,
-      430, 323, 320, 298, 295, 276, 144, 245, 241, 133, 129, 220, 216, 97, 93,
-      195, 34,
-    ],
-    [
-      609, 610, 611, 612, 613, 614, 615, 616, 617, 618, 619, 620, 621, 622, 623,
-      624, 625, 626, 627, 628, 629, 630, 631, 632, 633, 634, 635, 636, 637, 638,
-      639, 640, 641, 642, 643, 644, 645, 646, 647, 648, 649, 650, 651, 564, 520,
-      383, 328, 307, 302, 284, 279, 249, 153, 148, 228, 224, 117, 113, 203, 199,
-      100, 27,
-    ],
-    [
-      652, 653, 654, 655, 656, 657, 658, 659, 660, 661, 662, 663, 664, 665, 666,
-      667, 668, 669, 670, 671, 672, 673, 674, 675, 676, 677, 678, 679, 680, 681,
-      682, 683, 684, 685, 686, 687, 688, 689, 690, 691, 692, 693, 694, 608, 519,
-      429, 330, 318, 310, 294, 286, 253, 162, 154, 240, 232, 126, 118, 215, 207,
-      102, 20,
-    ],
-    [
-      695, 696, 697, 698, 699, 700, 701, 702, 703, 704, 705, 706, 707, 708, 709,
-      710, 711, 712, 713, 714, 715, 716, 717, 718, 719, 720, 721, 722, 723, 724,
-      725, 726, 727, 728, 729, 730, 731, 732, 733, 734, 735, 736, 737, 607, 563,
-      474, 335, 322, 315, 299, 292, 257, 168, 160, 244, 236, 132, 125, 219, 211,
-      108, 19,
-    ],
-    [
-      738, 739, 740, 741, 742, 743, 744, 745, 746, 747, 748, 749, 750, 751, 752,
-      753, 754, 755, 756, 757, 758, 759, 760, 761, 762, 763, 764, 765, 766, 767,
-      768, 769, 770, 771, 772, 773, 774, 775, 776, 777, 778, 779, 780, 694, 651,
-      518, 339, 332, 326, 311, 304, 261, 176, 173, 252, 248, 157, 149, 231, 223,
-      137, 6,
-    ],
-    [
-      781, 782, 783, 784, 785, 786, 787, 788, 789, 790, 791, 792, 793, 794, 795,
-      796, 797, 798, 799, 800, 801, 802, 803, 804, 805, 806, 807, 808, 809, 810,
-      811, 812, 813, 814, 815, 816, 817, 818, 819, 820, 821, 822, 780, 737, 650,
-      562, 338, 336, 327, 316, 308, 260, 180, 172, 256, 247, 161, 152, 235, 227,
-      141, 5,
-    ],
-    [
-      823, 824, 825, 826, 827, 828, 829, 830, 831, 832, 833, 834, 835, 836, 837,
-      838, 839, 840, 841, 842, 843, 844, 845, 846, 847, 848, 849, 850, 851, 852,
-      853, 854, 855, 856, 857, 858, 859, 860, 861, 862, 863, 822, 779, 736, 693,
-      606, 340, 334, 331, 324, 319, 259, 181, 177, 255, 251, 169, 163, 243, 239,
-      145, 3,
-    ],
-    [864, 865, 866, 473, 867, 428, 382, 265],
-    [868, 869, 870, 517, 871, 427, 381, 269],
-    [872, 873, 874, 561, 875, 472, 380, 273],
-    [876, 877, 878, 605, 879, 471, 426, 277],
-    [880, 881, 882, 649, 883, 516, 379, 281],
-    [884, 885, 886, 648, 887, 560, 378, 285],
-    [888, 889, 890, 692, 891, 515, 425, 289],
-    [892, 893, 894, 735, 895, 559, 470, 293],
-    [896, 897, 898, 691, 899, 604, 424, 297],
-    [900, 901, 902, 734, 903, 603, 469, 301],
-    [904, 905, 906, 778, 907, 647, 514, 305],
-    [908, 909, 910, 821, 911, 646, 558, 309],
-    [912, 913, 914, 777, 915, 690, 513, 313],
-    [916, 917, 918, 820, 919, 733, 557, 317],
-    [920, 921, 922, 863, 923, 689, 602, 321],
-    [924, 925, 926, 862, 927, 732, 601, 325],
-    [928, 929, 930, 819, 931, 776, 645, 329],
-    [932, 933, 934, 861, 935, 775, 688, 333],
-    [936, 937, 938, 860, 939, 818, 731, 337],
-    [940, 941, 942, 859, 943, 817, 774, 341],
-    [867, 377, 423, 944, 945],
-    [376, 468, 866, 946, 947],
-    [865, 467, 422, 948, 949],
-    [871, 421, 375, 950, 951],
-    [466, 373, 875, 952, 953],
-    [879, 419, 464, 954, 955],
-    [870, 512, 371, 956, 957],
-    [417, 511, 869, 958, 959],
-    [556, 874, 370, 960, 961],
-    [555, 873, 462, 962, 963],
-    [600, 416, 878, 964, 965],
-    [599, 877, 461, 966, 967],
-    [369, 883, 510, 968, 969],
-    [554, 887, 367, 970, 971],
-    [891, 415, 508, 972, 973],
-    [552, 895, 460, 974, 975],
-    [413, 899, 598, 976, 977],
-    [458, 903, 596, 978, 979],
-    [365, 644, 882, 980, 981],
-    [643, 364, 886, 982, 983],
-    [687, 890, 411, 984, 985],
-    [686, 410, 898, 986, 987],
-    [730, 894, 456, 988, 989],
-    [455, 729, 902, 990, 991],
-    [881, 641, 506, 992, 993],
-    [550, 885, 640, 994, 995],
-    [684, 889, 505, 996, 997],
-    [549, 727, 893, 998, 999],
-    [683, 897, 594, 1000, 1001],
-    [901, 726, 593, 1002, 1003],
-    [907, 504, 639, 1004, 1005],
-    [548, 911, 637, 1006, 1007],
-    [682, 502, 915, 1008, 1009],
-    [546, 919, 725, 1010, 1011],
-    [680, 923, 592, 1012, 1013],
-    [927, 590, 723, 1014, 1015],
-    [773, 500, 906, 1016, 1017],
-    [499, 914, 772, 1018, 1019],
-    [544, 816, 910, 1020, 1021],
-    [543, 918, 815, 1022, 1023],
-    [588, 858, 922, 1024, 1025],
-    [857, 587, 926, 1026, 1027],
-    [770, 905, 635, 1028, 1029],
-    [813, 909, 634, 1030, 1031],
-    [678, 913, 769, 1032, 1033],
-    [917, 721, 812, 1034, 1035],
-    [677, 921, 855, 1036, 1037],
-    [925, 854, 720, 1038, 1039],
-    [633, 931, 768, 1040, 1041],
-    [631, 811, 930, 1042, 1043],
-    [676, 935, 766, 1044, 1045],
-    [674, 934, 853, 1046, 1047],
-    [719, 809, 939, 1048, 1049],
-    [938, 717, 851, 1050, 1051],
-    [929, 807, 764, 1052, 1053],
-    [763, 849, 933, 1054, 1055],
-    [937, 806, 848, 1056, 1057],
-    [943, 762, 805, 1058, 1059],
-    [847, 760, 942, 1060, 1061],
-    [845, 941, 803, 1062, 1063],
-    [1064, 1065, 1066, 1067, 950, 420, 374, 944],
-    [1068, 1069, 1070, 1071, 952, 465, 372, 946],
-    [1072, 1073, 1074, 1075, 954, 463, 418, 948],
-    [1076, 1077, 1078, 1079, 509, 968, 956, 368],
-    [1080, 1081, 1082, 1083, 553, 970, 960, 366],
-    [1084, 1085, 1086, 1087, 973, 507, 414, 958],
-    [1088, 1089, 1090, 1091, 975, 551, 459, 962],
-    [1092, 1093, 1094, 1095, 597, 977, 964, 412],
-    [1096, 1097, 1098, 1099, 595, 978, 966, 457],
-    [1100, 1101, 1102, 1103, 642, 982, 980, 363],
-    [1104, 1105, 1106, 1107, 685, 986, 985, 409],
-    [1108, 1109, 1110, 1111, 728, 990, 989, 454],
-    [1112, 1113, 1114, 1115, 1004, 638, 503, 992],
-    [1116, 1117, 1118, 1119, 1007, 636, 547, 994],
-    [1120, 1121, 1122, 1123, 1008, 681, 501, 997],
-    [1124, 1125, 1126, 1127, 1011, 724, 545, 998],
-    [1128, 1129, 1130, 1131, 1012, 679, 591, 1001],
-    [1132, 1133, 1134, 1135, 1014, 722, 589, 1002],
-    [1136, 1137, 1138, 1139, 771, 1019, 1016, 498],
-    [1140, 1141, 1142, 1143, 814, 1023, 1020, 542],
-    [1144, 1145, 1146, 1147, 856, 1026, 1024, 586],
-    [1148, 1149, 1150, 1151, 767, 1040, 1028, 632],
-    [1152, 1153, 1154, 1155, 810, 1042, 1031, 630],
-    [1156, 1157, 1158, 1159, 1044, 765, 675, 1033],
-    [1160, 1161, 1162, 1163, 1048, 808, 718, 1035],
-    [1164, 1165, 1166, 1167, 852, 1046, 1036, 673],
-    [1168, 1169, 1170, 1171, 850, 1050, 1038, 716],
-    [1172, 1173, 1174, 1175, 1058, 804, 761, 1052],
-    [1176, 1177, 1178, 1179, 1060, 846, 759, 1054],
-    [1180, 1181, 1182, 1183, 1062, 844, 802, 1056],
-    [361, 1066, 1184, 1185, 1186],
-    [1070, 360, 1187, 1188, 1189],
-    [407, 1065, 1190, 1191, 1192],
-    [452, 1069, 1193, 1194, 1195],
-    [406, 1074, 1196, 1197, 1198],
-    [451, 1073, 1199, 1200, 1201],
-    [357, 1079, 1202, 1203, 1204],
-    [1083, 356, 1205, 1206, 1207],
-    [1086, 403, 1208, 1209, 1210],
-    [1090, 448, 1211, 1212, 1213],
-    [402, 1095, 1214, 1215, 1216],
-    [447, 1099, 1217, 1218, 1219],
-    [1103, 353, 1220, 1221, 1222],
-    [496, 1076, 1223, 1224, 1225],
-    [1085, 495, 1226, 1227, 1228],
-    [540, 1080, 1229, 1230, 1231],
-    [539, 1089, 1232, 1233, 1234],
-    [1107, 399, 1235, 1236, 1237],
-    [1111, 444, 1238, 1239, 1240],
-    [1092, 584, 1241, 1242, 1243],
-    [583, 1096, 1244, 1245, 1246],
-    [629, 1100, 1247, 1248, 1249],
-    [672, 1104, 1250, 1251, 1252],
-    [715, 1108, 1253, 1254, 1255],
-    [492, 1114, 1256, 1257, 1258],
-    [536, 1118, 1259, 1260, 1261],
-    [1122, 491, 1262, 1263, 1264],
-    [535, 1126, 1265, 1266, 1267],
-    [1130, 580, 1268, 1269, 1270],
-    [579, 1134, 1271, 1272, 1273],
-    [626, 1113, 1274, 1275, 1276],
-    [1117, 625, 1277, 1278, 1279],
-    [669, 1121, 1280, 1281, 1282],
-    [1125, 712, 1283, 1284, 1285],
-    [668, 1129, 1286, 1287, 1288],
-    [711, 1133, 1289, 1290, 1291],
-    [488, 1139, 1292, 1293, 1294],
-    [532, 1143, 1295, 1296, 1297],
-    [576, 1147, 1298, 1299, 1300],
-    [622, 1151, 1301, 1302, 1303],
-    [1155, 621, 1304, 1305, 1306],
-    [1136, 758, 1307, 1308, 1309],
-    [1140, 801, 1310, 1311, 1312],
-    [665, 1158, 1313, 1314, 1315],
-    [664, 1167, 1316, 1317, 1318],
-    [1162, 708, 1319, 1320, 1321],
-    [707, 1171, 1322, 1323, 1324],
-    [1144, 843, 1325, 1326, 1327],
-    [755, 1148, 1328, 1329, 1330],
-    [798, 1152, 1331, 1332, 1333],
-    [1157, 754, 1334, 1335, 1336],
-    [1161, 797, 1337, 1338, 1339],
-    [1164, 840, 1340, 1341, 1342],
-    [839, 1168, 1343, 1344, 1345],
-    [751, 1174, 1346, 1347, 1348],
-    [794, 1173, 1349, 1350, 1351],
-    [750, 1178, 1352, 1353, 1354],
-    [793, 1182, 1355, 1356, 1357],
-    [1177, 836, 1358, 1359, 1360],
-    [835, 1181, 1361, 1362, 1363],
-    [350, 1364, 1365, 1366, 1367],
-    [396, 1368, 1369, 1370, 1371],
-    [441, 1372, 1373, 1374, 1375],
-    [348, 1376, 1377, 1378, 1379],
-    [346, 1380, 1381, 1382, 1383],
-    [394, 1384, 1385, 1386, 1387],
-    [439, 1388, 1389, 1390, 1391],
-    [392, 1392, 1393, 1394, 1395],
-    [437, 1396, 1397, 1398, 1399],
-    [344, 1400, 1401, 1402, 1403],
-    [343, 1404, 1405, 1406, 1407],
-    [390, 1408, 1409, 1410, 1411],
-    [389, 1412, 1413, 1414, 1415],
-    [435, 1416, 1417, 1418, 1419],
-    [434, 1420, 1421, 1422, 1423],
-    [485, 1424, 1425, 1426, 1427],
-    [529, 1428, 1429, 1430, 1431],
-    [573, 1432, 1433, 1434, 1435],
-    [483, 1436, 1437, 1438, 1439],
-    [481, 1440, 1441, 1442, 1443],
-    [527, 1444, 1445, 1446, 1447],
-    [525, 1448, 1449, 1450, 1451],
-    [571, 1452, 1453, 1454, 1455],
-    [569, 1456, 1457, 1458, 1459],
-    [617, 1460, 1461, 1462, 1463],
-    [615, 1464, 1465, 1466, 1467],
-    [479, 1468, 1469, 1470, 1471],
-    [478, 1472, 1473, 1474, 1475],
-    [523, 1476, 1477, 1478, 1479],
-    [522, 1480, 1481, 1482, 1483],
-    [660, 1484, 1485, 1486, 1487],
-    [658, 1488, 1489, 1490, 1491],
-    [703, 1492, 1493, 1494, 1495],
-    [701, 1496, 1497, 1498, 1499],
-    [567, 1500, 1501, 1502, 1503],
-    [566, 1504, 1505, 1506, 1507],
-    [613, 1508, 1509, 1510, 1511],
-    [611, 1512, 1513, 1514, 1515],
-    [656, 1516, 1517, 1518, 1519],
-    [654, 1520, 1521, 1522, 1523],
-    [699, 1524, 1525, 1526, 1527],
-    [697, 1528, 1529, 1530, 1531],
-    [610, 1532, 1533, 1534, 1535],
-    [653, 1536, 1537, 1538, 1539],
-    [696, 1540, 1541, 1542, 1543],
-    [746, 1544, 1545, 1546, 1547],
-    [744, 1548, 1549, 1550, 1551],
-    [789, 1552, 1553, 1554, 1555],
-    [787, 1556, 1557, 1558, 1559],
-    [831, 1560, 1561, 1562, 1563],
-    [829, 1564, 1565, 1566, 1567],
-    [742, 1568, 1569, 1570, 1571],
-    [785, 1572, 1573, 1574, 1575],
-    [740, 1576, 1577, 1578, 1579],
-    [783, 1580, 1581, 1582, 1583],
-    [827, 1584, 1585, 1586, 1587],
-    [825, 1588, 1589, 1590, 1591],
-    [739, 1592, 1593, 1594, 1595],
-    [782, 1596, 1597, 1598, 1599],
-    [824, 1600, 1601, 1602, 1603],
-    [1604, 1605, 1606, 1376, 1607, 1364, 1185, 352],
-    [1608, 1609, 1610, 1380, 1611, 1365, 1189, 351],
-    [1612, 1613, 1614, 1384, 1615, 1370, 1191, 398],
-    [1616, 1617, 1618, 1388, 1619, 1373, 1195, 443],
-    [1620, 1621, 1622, 1392, 1623, 1369, 1197, 397],
-    [1624, 1625, 1626, 1397, 1627, 1372, 1201, 442],
-    [1628, 1629, 1630, 1400, 1631, 1377, 1203, 349],
-    [1632, 1633, 1634, 1405, 1635, 1381, 1207, 347],
-    [1636, 1637, 1638, 1408, 1639, 1385, 1210, 395],
-    [1640, 1641, 1642, 1417, 1643, 1389, 1213, 440],
-    [1644, 1645, 1646, 1412, 1647, 1393, 1216, 393],
-    [1648, 1649, 1650, 1420, 1651, 1398, 1219, 438],
-    [1652, 1653, 1654, 1404, 1655, 1401, 1222, 345],
-    [1656, 1657, 1658, 1413, 1659, 1409, 1237, 391],
-    [1660, 1661, 1662, 1421, 1663, 1416, 1240, 436],
-    [1664, 1665, 1666, 1438, 1667, 1424, 1224, 487],
-    [1668, 1669, 1670, 1440, 1671, 1425, 1228, 486],
-    [1672, 1673, 1674, 1444, 1675, 1428, 1229, 531],
-    [1676, 1677, 1678, 1448, 1679, 1430, 1232, 530],
-    [1680, 1681, 1682, 1452, 1683, 1433, 1243, 575],
-    [1684, 1685, 1686, 1458, 1687, 1432, 1246, 574],
-    [1688, 1689, 1690, 1464, 1691, 1461, 1249, 619],
-    [1692, 1693, 1694, 1468, 1695, 1437, 1257, 484],
-    [1696, 1697, 1698, 1473, 1699, 1441, 1264, 482],
-    [1700, 1701, 1702, 1476, 1703, 1446, 1259, 528],
-    [1704, 1705, 1706, 1480, 1707, 1449, 1265, 526],
-    [1708, 1709, 1710, 1489, 1711, 1484, 1250, 662],
-    [1712, 1713, 1714, 1497, 1715, 1492, 1255, 705],
-    [1716, 1717, 1718, 1501, 1719, 1453, 1270, 572],
-    [1720, 1721, 1722, 1504, 1723, 1457, 1272, 570],
-    [1724, 1725, 1726, 1509, 1727, 1460, 1275, 618],
-    [1728, 1729, 1730, 1513, 1731, 1465, 1279, 616],
-    [1732, 1733, 1734, 1472, 1735, 1469, 1294, 480],
-    [1736, 1737, 1738, 1481, 1739, 1477, 1295, 524],
-    [1740, 1741, 1742, 1517, 1743, 1485, 1280, 661],
-    [1744, 1745, 1746, 1522, 1747, 1488, 1286, 659],
-    [1748, 1749, 1750, 1525, 1751, 1493, 1285, 704],
-    [1752, 1753, 1754, 1529, 1755, 1496, 1290, 702],
-    [1756, 1757, 1758, 1505, 1759, 1500, 1300, 568],
-    [1760, 1761, 1762, 1532, 1763, 1510, 1303, 614],
-    [1764, 1765, 1766, 1533, 1767, 1512, 1306, 612],
-    [1768, 1769, 1770, 1538, 1771, 1516, 1313, 657],
-    [1772, 1773, 1774, 1536, 1775, 1520, 1316, 655],
-    [1776, 1777, 1778, 1541, 1779, 1524, 1321, 700],
-    [1780, 1781, 1782, 1540, 1783, 1530, 1323, 698],
-    [1784, 1785, 1786, 1548, 1787, 1545, 1309, 748],
-    [1788, 1789, 1790, 1557, 1791, 1553, 1312, 791],
-    [1792, 1793, 1794, 1565, 1795, 1560, 1327, 833],
-    [1796, 1797, 1798, 1570, 1799, 1544, 1330, 747],
-    [1800, 1801, 1802, 1573, 1803, 1552, 1333, 790],
-    [1804, 1805, 1806, 1577, 1807, 1549, 1336, 745],
-    [1808, 1809, 1810, 1581, 1811, 1556, 1339, 788],
-    [1812, 1813, 1814, 1585, 1815, 1561, 1342, 832],
-    [1816, 1817, 1818, 1589, 1819, 1564, 1344, 830],
-    [1820, 1821, 1822, 1592, 1823, 1569, 1348, 743],
-    [1824, 1825, 1826, 1597, 1827, 1572, 1350, 786],
-    [1828, 1829, 1830, 1593, 1831, 1576, 1354, 741],
-    [1832, 1833, 1834, 1598, 1835, 1580, 1356, 784],
-    [1836, 1837, 1838, 1601, 1839, 1584, 1360, 828],
-    [1840, 1841, 1842, 1600, 1843, 1588, 1362, 826],
-    [
-      1844, 1845, 1846, 1847, 1848, 1849, 1850, 1851, 1852, 1853, 1854, 1855,
-      1856, 1857, 1858, 1859, 1860, 1861, 1862, 1863, 1864, 1865, 1866, 1867,
-      1868, 1869, 1870, 1871, 1872, 1873, 1874, 1875, 1876, 1877, 1878, 1879,
-      1880, 1374, 1627, 1619, 1368, 1623, 1615, 1366, 1611, 1607, 1199, 1196,
-      1194, 1190, 1188, 1186, 1075, 453, 408, 1071, 1067, 362, 949, 947, 945,
-      864,
-    ],
-    [
-      1881, 1882, 1883, 1884, 1885, 1886, 1887, 1888, 1889, 1890, 1891, 1892,
-      1893, 1894, 1895, 1896, 1897, 1898, 1899, 1900, 1901, 1902, 1903, 1904,
-      1905, 1906, 1907, 1908, 1909, 1910, 1911, 1912, 1913, 1914, 1915, 1916,
-      1880, 1426, 1671, 1667, 1386, 1639, 1378, 1631, 1614, 1606, 1227, 1225,
-      1209, 1202, 1192, 1184, 497, 1087, 1078, 405, 359, 1064, 959, 957, 951,
-      868,
-    ],
-    [
-      1917, 1918, 1919, 1920, 1921, 1922, 1923, 1924, 1925, 1926, 1927, 1928,
-      1929, 1930, 1931, 1932, 1933, 1934, 1935, 1936, 1937, 1938, 1939, 1940,
-      1941, 1942, 1943, 1944, 1945, 1946, 1947, 1948, 1949, 1950, 1951, 1952,
-      1879, 1429, 1679, 1675, 1390, 1643, 1382, 1635, 1618, 1610, 1234, 1230,
-      1212, 1205, 1193, 1187, 541, 1091, 1082, 450, 358, 1068, 963, 961, 953,
-      872,
-    ],
-    [
-      1953, 1954, 1955, 1956, 1957, 1958, 1959, 1960, 1961, 1962, 1963, 1964,
-      1965, 1966, 1967, 1968, 1969, 1970, 1971, 1972, 1973, 1974, 1975, 1976,
-      1977, 1978, 1979, 1980, 1981, 1982, 1983, 1984, 1985, 1986, 1987, 1988,
-      1878, 1434, 1687, 1683, 1396, 1651, 1394, 1647, 1626, 1622, 1245, 1242,
-      1217, 1215, 1200, 1198, 585, 1098, 1094, 449, 404, 1072, 967, 965, 955,
-      876,
-    ],
-    [
-      1989, 1990, 1991, 1992, 1993, 1994, 1995, 1996, 1997, 1998, 1999, 2000,
-      2001, 2002, 2003, 2004, 2005, 2006, 2007, 2008, 2009, 2010, 2011, 2012,
-      2013, 2014, 2015, 2016, 2017, 2018, 2019, 2020, 2021, 2022, 2023, 2024,
-      1916, 1462, 1727, 1691, 1436, 1695, 1666, 1402, 1655, 1630, 1276, 1256,
-      1248, 1223, 1221, 1204, 1115, 628, 494, 1102, 1077, 355, 993, 981, 969,
-      880,
-    ],
-    [
-      2025, 2026, 2027, 2028, 2029, 2030, 2031, 2032, 2033, 2034, 2035, 2036,
-      2037, 2038, 2039, 2040, 2041, 2042, 2043, 2044, 2045, 2046, 2047, 2048,
-      2049, 2050, 2051, 2052, 2053, 2054, 2055, 2056, 2057, 2058, 2059, 2024,
-      1952, 1466, 1731, 1690, 1445, 1703, 1674, 1406, 1654, 1634, 1278, 1261,
-      1247, 1231, 1220, 1206, 1119, 627, 538, 1101, 1081, 354, 995, 983, 971,
-      884,
-    ],
-    [
-      2060, 2061, 2062, 2063, 2064, 2065, 2066, 2067, 2068, 2069, 2070, 2071,
-      2072, 2073, 2074, 2075, 2076, 2077, 2078, 2079, 2080, 2081, 2082, 2083,
-      2084, 2085, 2086, 2087, 2088, 2089, 2090, 2091, 2092, 2093, 2094, 2095,
-      1915, 1487, 1743, 1711, 1442, 1699, 1670, 1410, 1659, 1638, 1281, 1262,
-      1251, 1235, 1226, 1208, 671, 1123, 493, 1106, 401, 1084, 996, 984, 972,
-      888,
-    ],
-    [
-      2096, 2097, 2098, 2099, 2100, 2101, 2102, 2103, 2104, 2105, 2106, 2107,
-      2108, 2109, 2110, 2111, 2112, 2113, 2114, 2115, 2116, 2117, 2118, 2119,
-      2120, 2121, 2122, 2123, 2124, 2125, 2126, 2127, 2128, 2129, 2130, 2131,
-      1951, 1494, 1751, 1715, 1450, 1707, 1678, 1418, 1663, 1642, 1284, 1267,
-      1253, 1238, 1233, 1211, 714, 1127, 537, 1110, 446, 1088, 999, 988, 974,
-      892,
-    ],
-    [
-      2132, 2133, 2134, 2135, 2136, 2137, 2138, 2139, 2140, 2141, 2142, 2143,
-      2144, 2145, 2146, 2147, 2148, 2149, 2150, 2151, 2152, 2153, 2154, 2155,
-      2156, 2157, 2158, 2159, 2160, 2161, 2162, 2163, 2164, 2165, 2166, 2095,
-      1988, 1490, 1747, 1710, 1454, 1719, 1682, 1414, 1658, 1646, 1287, 1268,
-      1252, 1241, 1236, 1214, 1131, 670, 582, 1105, 1093, 400, 1000, 987, 976,
-      896,
-    ],
-    [
-      2167, 2168, 2169, 2170, 2171, 2172, 2173, 2174, 2175, 2176, 2177, 2178,
-      2179, 2180, 2181, 2182, 2183, 2184, 2185, 2186, 2187, 2188, 2189, 2190,
-      2191, 2192, 2193, 2194, 2195, 2196, 2197, 2198, 2199, 2200, 2201, 2131,
-      1987, 1498, 1755, 1714, 1456, 1723, 1686, 1422, 1662, 1650, 1291, 1271,
-      1254, 1244, 1239, 1218, 1135, 713, 581, 1109, 1097, 445, 1003, 991, 979,
-      900,
-    ],
-    [
-      2202, 2203, 2204, 2205, 2206, 2207, 2208, 2209, 2210, 2211, 2212, 2213,
-      2214, 2215, 2216, 2217, 2218, 2219, 2220, 2221, 2222, 2223, 2224, 2225,
-      2226, 2227, 2228, 2229, 2230, 2231, 2232, 2233, 2234, 2235, 2236, 2237,
-      2023, 1546, 1799, 1787, 1508, 1763, 1726, 1470, 1735, 1694, 1329, 1308,
-      1301, 1293, 1274, 1258, 757, 1150, 1138, 624, 490, 1112, 1029, 1017, 1005,
-      904,
-    ],
-    [
-      2238, 2239, 2240, 2241, 2242, 2243, 2244, 2245, 2246, 2247, 2248, 2249,
-      2250, 2251, 2252, 2253, 2254, 2255, 2256, 2257, 2258, 2259, 2260, 2261,
-      2262, 2263, 2264, 2265, 2266, 2267, 2268, 2269, 2270, 2271, 2272, 2273,
-      2059, 1554, 1803, 1791, 1514, 1767, 1730, 1478, 1739, 1702, 1331, 1311,
-      1304, 1297, 1277, 1260, 800, 1154, 1142, 623, 534, 1116, 1030, 1021, 1006,
-      908,
-    ],
-    [
-      2274, 2275, 2276, 2277, 2278, 2279, 2280, 2281, 2282, 2283, 2284, 2285,
-      2286, 2287, 2288, 2289, 2290, 2291, 2292, 2293, 2294, 2295, 2296, 2297,
-      2298, 2299, 2300, 2301, 2302, 2303, 2304, 2305, 2306, 2307, 2308, 2237,
-      2094, 1550, 1807, 1786, 1518, 1771, 1742, 1474, 1734, 1698, 1334, 1314,
-      1307, 1292, 1282, 1263, 756, 1159, 667, 1137, 489, 1120, 1032, 1018, 1009,
-      912,
-    ],
-    [
-      2309, 2310, 2311, 2312, 2313, 2314, 2315, 2316, 2317, 2318, 2319, 2320,
-      2321, 2322, 2323, 2324, 2325, 2326, 2327, 2328, 2329, 2330, 2331, 2332,
-      2333, 2334, 2335, 2336, 2337, 2338, 2339, 2340, 2341, 2342, 2343, 2273,
-      2130, 1558, 1811, 1790, 1526, 1779, 1750, 1483, 1738, 1706, 1337, 1319,
-      1310, 1296, 1283, 1266, 799, 1163, 710, 1141, 533, 1124, 1034, 1022, 1010,
-      916,
-    ],
-    [
-      2344, 2345, 2346, 2347, 2348, 2349, 2350, 2351, 2352, 2353, 2354, 2355,
-      2356, 2357, 2358, 2359, 2360, 2361, 2362, 2363, 2364, 2365, 2366, 2367,
-      2368, 2369, 2370, 2371, 2372, 2373, 2374, 2375, 2376, 2377, 2378, 2379,
-      2166, 1562, 1815, 1795, 1521, 1775, 1746, 1502, 1759, 1718, 1340, 1325,
-      1317, 1298, 1288, 1269, 842, 1166, 1146, 666, 578, 1128, 1037, 1025, 1013,
-      920,
-    ],
-    [
-      2380, 2381, 2382, 2383, 2384, 2385, 2386, 2387, 2388, 2389, 2390, 2391,
-      2392, 2393, 2394, 2395, 2396, 2397, 2398, 2399, 2400, 2401, 2402, 2403,
-      2404, 2405, 2406, 2407, 2408, 2409, 2410, 2411, 2412, 2413, 2414, 2379,
-      2201, 1566, 1819, 1794, 1528, 1783, 1754, 1506, 1758, 1722, 1345, 1326,
-      1322, 1299, 1289, 1273, 841, 1170, 1145, 709, 577, 1132, 1039, 1027, 1015,
-      924,
-    ],
-    [
-      2415, 2416, 2417, 2418, 2419, 2420, 2421, 2422, 2423, 2424, 2425, 2426,
-      2427, 2428, 2429, 2430, 2431, 2432, 2433, 2434, 2435, 2436, 2437, 2438,
-      2439, 2440, 2441, 2442, 2443, 2444, 2445, 2446, 2447, 2448, 2449, 2272,
-      2236, 1574, 1827, 1568, 1823, 1802, 1798, 1534, 1766, 1762, 1351, 1347,
-      1332, 1328, 1305, 1302, 1175, 796, 753, 1153, 1149, 620, 1053, 1043, 1041,
-      928,
-    ],
-    [
-      2450, 2451, 2452, 2453, 2454, 2455, 2456, 2457, 2458, 2459, 2460, 2461,
-      2462, 2463, 2464, 2465, 2466, 2467, 2468, 2469, 2470, 2471, 2472, 2473,
-      2474, 2475, 2476, 2477, 2478, 2479, 2480, 2481, 2482, 2483, 2484, 2378,
-      2308, 1586, 1839, 1578, 1831, 1814, 1806, 1537, 1774, 1770, 1358, 1352,
-      1341, 1335, 1318, 1315, 1179, 838, 752, 1165, 1156, 663, 1055, 1047, 1045,
-      932,
-    ],
-    [
-      2485, 2486, 2487, 2488, 2489, 2490, 2491, 2492, 2493, 2494, 2495, 2496,
-      2497, 2498, 2499, 2500, 2501, 2502, 2503, 2504, 2505, 2506, 2507, 2508,
-      2509, 2510, 2511, 2512, 2513, 2514, 2515, 2516, 2517, 2518, 2519, 2414,
-      2343, 1590, 1843, 1582, 1835, 1818, 1810, 1542, 1782, 1778, 1361, 1357,
-      1343, 1338, 1324, 1320, 1183, 837, 795, 1169, 1160, 706, 1057, 1051, 1049,
-      936,
-    ],
-    [
-      2520, 2521, 2522, 2523, 2524, 2525, 2526, 2527, 2528, 2529, 2530, 2531,
-      2532, 2533, 2534, 2535, 2536, 2537, 2538, 2539, 2540, 2541, 2542, 2543,
-      2544, 2545, 2546, 2547, 2548, 2549, 2550, 2551, 2552, 2553, 2519, 2484,
-      2449, 1602, 1842, 1838, 1596, 1834, 1826, 1594, 1830, 1822, 1363, 1359,
-      1355, 1353, 1349, 1346, 834, 1180, 1176, 792, 749, 1172, 1063, 1061, 1059,
-      940,
-    ],
-    [1604, 1877, 1914, 2554, 2555],
-    [1608, 1876, 1950, 2556, 2557],
-    [1612, 1913, 1875, 2558, 2559],
-    [1616, 1949, 1874, 2560, 2561],
-    [1620, 1986, 1873, 2562, 2563],
-    [1624, 1872, 1985, 2564, 2565],
-    [1628, 2022, 1912, 2566, 2567],
-    [1632, 1948, 2058, 2568, 2569],
-    [1636, 2093, 1911, 2570, 2571],
-    [1947, 1640, 2129, 2572, 2573],
-    [1644, 2165, 1984, 2574, 2575],
-    [1648, 2200, 1983, 2576, 2577],
-    [1652, 2021, 2057, 2578, 2579],
-    [2164, 1656, 2092, 2580, 2581],
-    [1660, 2199, 2128, 2582, 2583],
-    [1664, 1910, 2020, 2584, 2585],
-    [1668, 2091, 1909, 2586, 2587],
-    [1672, 1946, 2056, 2588, 2589],
-    [1676, 2127, 1945, 2590, 2591],
-    [1680, 1982, 2163, 2592, 2593],
-    [1684, 1981, 2198, 2594, 2595],
-    [1688, 2055, 2019, 2596, 2597],
-    [2089, 1708, 2162, 2598, 2599],
-    [1712, 2125, 2197, 2600, 2601],
-    [1692, 2235, 2018, 2602, 2603],
-    [2307, 1696, 2090, 2604, 2605],
-    [1700, 2271, 2054, 2606, 2607],
-    [1704, 2342, 2126, 2608, 2609],
-    [2377, 1716, 2161, 2610, 2611],
-    [1720, 2413, 2196, 2612, 2613],
-    [1724, 2017, 2234, 2614, 2615],
-    [2053, 1728, 2270, 2616, 2617],
-    [2088, 1740, 2305, 2618, 2619],
-    [1744, 2160, 2376, 2620, 2621],
-    [2124, 1748, 2340, 2622, 2623],
-    [1752, 2195, 2412, 2624, 2625],
-    [1732, 2306, 2233, 2626, 2627],
-    [1736, 2341, 2269, 2628, 2629],
-    [1756, 2375, 2411, 2630, 2631],
-    [1760, 2448, 2232, 2632, 2633],
-    [1764, 2447, 2268, 2634, 2635],
-    [1768, 2304, 2483, 2636, 2637],
-    [1772, 2374, 2482, 2638, 2639],
-    [1776, 2339, 2518, 2640, 2641],
-    [1780, 2517, 2410, 2642, 2643],
-    [1784, 2231, 2303, 2644, 2645],
-    [2267, 1788, 2338, 2646, 2647],
-    [1792, 2409, 2373, 2648, 2649],
-    [1796, 2230, 2446, 2650, 2651],
-    [1800, 2266, 2445, 2652, 2653],
-    [2481, 1804, 2302, 2654, 2655],
-    [1808, 2337, 2516, 2656, 2657],
-    [1812, 2372, 2480, 2658, 2659],
-    [1816, 2408, 2515, 2660, 2661],
-    [1820, 2553, 2444, 2662, 2663],
-    [1824, 2443, 2552, 2664, 2665],
-    [1828, 2479, 2551, 2666, 2667],
-    [1832, 2514, 2550, 2668, 2669],
-    [1836, 2549, 2478, 2670, 2671],
-    [1840, 2548, 2513, 2672, 2673],
-    [1906, 1868, 2674, 2675, 2676],
-    [1942, 1865, 2677, 2678, 2679],
-    [1978, 1860, 2680, 2681, 2682],
-    [1900, 2013, 2683, 2684, 2685],
-    [1936, 2049, 2686, 2687, 2688],
-    [2084, 1898, 2689, 2690, 2691],
-    [2120, 1934, 2692, 2693, 2694],
-    [2156, 1972, 2695, 2696, 2697],
-    [1970, 2191, 2698, 2699, 2700],
-    [2046, 2010, 2701, 2702, 2703],
-    [2080, 2153, 2704, 2705, 2706],
-    [2116, 2188, 2707, 2708, 2709],
-    [2227, 2005, 2710, 2711, 2712],
-    [2263, 2041, 2713, 2714, 2715],
-    [2076, 2298, 2716, 2717, 2718],
-    [2333, 2112, 2719, 2720, 2721],
-    [2148, 2369, 2722, 2723, 2724],
-    [2183, 2405, 2725, 2726, 2727],
-    [2294, 2222, 2728, 2729, 2730],
-    [2329, 2258, 2731, 2732, 2733],
-    [2364, 2400, 2734, 2735, 2736],
-    [2219, 2438, 2737, 2738, 2739],
-    [2255, 2436, 2740, 2741, 2742],
-    [2290, 2473, 2743, 2744, 2745],
-    [2325, 2508, 2746, 2747, 2748],
-    [2361, 2471, 2749, 2750, 2751],
-    [2506, 2397, 2752, 2753, 2754],
-    [2431, 2545, 2755, 2756, 2757],
-    [2466, 2540, 2758, 2759, 2760],
-    [2501, 2537, 2761, 2762, 2763],
-    [2764, 2765, 2766, 2767, 2674, 1908, 1870, 2555],
-    [2768, 2769, 2770, 2771, 2677, 1944, 1867, 2557],
-    [2772, 2773, 2774, 2775, 2675, 1907, 1869, 2559],
-    [2776, 2777, 2778, 2779, 2678, 1943, 1866, 2561],
-    [2780, 2781, 2782, 2783, 2681, 1980, 1862, 2563],
-    [2784, 2785, 2786, 2787, 2680, 1979, 1861, 2565],
-    [2788, 2789, 2790, 2791, 2683, 2015, 1903, 2567],
-    [2792, 2793, 2794, 2795, 2686, 2051, 1939, 2569],
-    [2796, 2797, 2798, 2799, 2689, 2087, 1902, 2570],
-    [2800, 2801, 2802, 2803, 2692, 2123, 1938, 2573],
-    [2804, 2805, 2806, 2807, 2696, 2158, 1975, 2575],
-    [2808, 2809, 2810, 2811, 2698, 2193, 1974, 2577],
-    [2812, 2813, 2814, 2815, 2701, 2048, 2012, 2579],
-    [2816, 2817, 2818, 2819, 2684, 2014, 1901, 2585],
-    [2820, 2821, 2822, 2823, 2690, 2085, 1899, 2586],
-    [2824, 2825, 2826, 2827, 2687, 2050, 1937, 2589],
-    [2828, 2829, 2830, 2831, 2693, 2121, 1935, 2591],
-    [2832, 2833, 2834, 2835, 2704, 2155, 2083, 2581],
-    [2836, 2837, 2838, 2839, 2707, 2190, 2119, 2583],
-    [2840, 2841, 2842, 2843, 2695, 2157, 1973, 2593],
-    [2844, 2845, 2846, 2847, 2699, 2192, 1971, 2595],
-    [2848, 2849, 2850, 2851, 2702, 2047, 2011, 2597],
-    [2852, 2853, 2854, 2855, 2705, 2154, 2081, 2599],
-    [2856, 2857, 2858, 2859, 2708, 2189, 2117, 2601],
-    [2860, 2861, 2862, 2863, 2711, 2229, 2007, 2603],
-    [2864, 2865, 2866, 2867, 2714, 2265, 2043, 2607],
-    [2868, 2869, 2870, 2871, 2716, 2301, 2079, 2605],
-    [2872, 2873, 2874, 2875, 2720, 2336, 2115, 2609],
-    [2876, 2877, 2878, 2879, 2722, 2371, 2150, 2611],
-    [2880, 2881, 2882, 2883, 2725, 2407, 2185, 2613],
-    [2884, 2885, 2886, 2887, 2710, 2228, 2006, 2615],
-    [2888, 2889, 2890, 2891, 2713, 2264, 2042, 2617],
-    [2892, 2893, 2894, 2895, 2717, 2299, 2077, 2619],
-    [2896, 2897, 2898, 2899, 2719, 2334, 2113, 2623],
-    [2900, 2901, 2902, 2903, 2723, 2370, 2149, 2621],
-    [2904, 2905, 2906, 2907, 2726, 2406, 2184, 2625],
-    [2908, 2909, 2910, 2911, 2729, 2297, 2224, 2627],
-    [2912, 2913, 2914, 2915, 2732, 2332, 2260, 2629],
-    [2916, 2917, 2918, 2919, 2735, 2402, 2366, 2631],
-    [2920, 2921, 2922, 2923, 2737, 2441, 2221, 2633],
-    [2924, 2925, 2926, 2927, 2740, 2440, 2257, 2635],
-    [2928, 2929, 2930, 2931, 2728, 2295, 2223, 2645],
-    [2932, 2933, 2934, 2935, 2731, 2330, 2259, 2647],
-    [2936, 2937, 2938, 2939, 2744, 2476, 2293, 2637],
-    [2940, 2941, 2942, 2943, 2750, 2475, 2363, 2639],
-    [2944, 2945, 2946, 2947, 2746, 2511, 2328, 2640],
-    [2948, 2949, 2950, 2951, 2753, 2510, 2399, 2643],
-    [2952, 2953, 2954, 2955, 2734, 2401, 2365, 2649],
-    [2956, 2957, 2958, 2959, 2738, 2439, 2220, 2651],
-    [2960, 2961, 2962, 2963, 2741, 2437, 2256, 2653],
-    [2964, 2965, 2966, 2967, 2743, 2474, 2291, 2655],
-    [2968, 2969, 2970, 2971, 2747, 2509, 2326, 2656],
-    [2972, 2973, 2974, 2975, 2749, 2472, 2362, 2659],
-    [2976, 2977, 2978, 2979, 2752, 2507, 2398, 2661],
-    [2980, 2981, 2982, 2983, 2755, 2547, 2433, 2663],
-    [2984, 2985, 2986, 2987, 2756, 2546, 2432, 2665],
-    [2988, 2989, 2990, 2991, 2759, 2542, 2468, 2667],
-    [2992, 2993, 2994, 2995, 2762, 2539, 2503, 2669],
-    [2996, 2997, 2998, 2999, 2758, 2541, 2467, 2671],
-    [3000, 3001, 3002, 3003, 2761, 2538, 2502, 2673],
-    [
-      3004, 3005, 3006, 3007, 3008, 3009, 3010, 3011, 3012, 3013, 3014, 3015,
-      3016, 3017, 3018, 3019, 3020, 3021, 3022, 3023, 3024, 3025, 3026, 3027,
-      3028, 3029, 3030, 3031, 3032, 3033, 3034, 3035, 3036, 3037, 3038, 3039,
-      2815, 2795, 2791, 2771, 2767, 2052, 2016, 1941, 1905, 1871, 2578, 2568,
-      2566, 2556, 2554, 1653, 1407, 1403, 1633, 1629, 1383, 1379, 1609, 1605,
-      1367, 342,
-    ],
-    [
-      3040, 3041, 3042, 3043, 3044, 3045, 3046, 3047, 3048, 3049, 3050, 3051,
-      3052, 3053, 3054, 3055, 3056, 3057, 3058, 3059, 3060, 3061, 3062, 3063,
-      3064, 3065, 3066, 3067, 3068, 3069, 3070, 3071, 3072, 3073, 3074, 3075,
-      2835, 2807, 2799, 2783, 2775, 2159, 2086, 1977, 1904, 1864, 2580, 2574,
-      2571, 2562, 2558, 1657, 1415, 1411, 1645, 1637, 1395, 1387, 1621, 1613,
-      1371, 388,
-    ],
-    [
-      3076, 3077, 3078, 3079, 3080, 3081, 3082, 3083, 3084, 3085, 3086, 3087,
-      3088, 3089, 3090, 3091, 3092, 3093, 3094, 3095, 3096, 3097, 3098, 3099,
-      3100, 3101, 3102, 3103, 3104, 3105, 3106, 3107, 3108, 3109, 3110, 3111,
-      2839, 2811, 2803, 2787, 2779, 2194, 2122, 1976, 1940, 1863, 2582, 2576,
-      2572, 2564, 2560, 1661, 1423, 1419, 1649, 1641, 1399, 1391, 1625, 1617,
-      1375, 433,
-    ],
-    [
-      3112, 3113, 3114, 3115, 3116, 3117, 3118, 3119, 3120, 3121, 3122, 3123,
-      3124, 3125, 3126, 3127, 3128, 3129, 3130, 3131, 3132, 3133, 3134, 3135,
-      3136, 3137, 3138, 3139, 3140, 3141, 3142, 3143, 3144, 3145, 3146, 3147,
-      2911, 2871, 2863, 2823, 2819, 2300, 2226, 2082, 2009, 1897, 2626, 2604,
-      2602, 2587, 2584, 1733, 1475, 1471, 1697, 1693, 1443, 1439, 1669, 1665,
-      1427, 477,
-    ],
-    [
-      3148, 3149, 3150, 3151, 3152, 3153, 3154, 3155, 3156, 3157, 3158, 3159,
-      3160, 3161, 3162, 3163, 3164, 3165, 3166, 3167, 3168, 3169, 3170, 3171,
-      3172, 3173, 3174, 3175, 3176, 3177, 3178, 3179, 3180, 3181, 3182, 3183,
-      2915, 2875, 2867, 2831, 2827, 2335, 2262, 2118, 2045, 1933, 2628, 2608,
-      2606, 2590, 2588, 1737, 1482, 1479, 1705, 1701, 1451, 1447, 1677, 1673,
-      1431, 521,
-    ],
-    [
-      3184, 3185, 3186, 3187, 3188, 3189, 3190, 3191, 3192, 3193, 3194, 3195,
-      3196, 3197, 3198, 3199, 3200, 3201, 3202, 3203, 3204, 3205, 3206, 3207,
-      3208, 3209, 3210, 3211, 3212, 3213, 3214, 3215, 3216, 3217, 3218, 3219,
-      2919, 2883, 2879, 2847, 2843, 2404, 2368, 2187, 2152, 1969, 2630, 2612,
-      2610, 2594, 2592, 1757, 1507, 1503, 1721, 1717, 1459, 1455, 1685, 1681,
-      1435, 565,
-    ],
-    [
-      3220, 3221, 3222, 3223, 3224, 3225, 3226, 3227, 3228, 3229, 3230, 3231,
-      3232, 3233, 3234, 3235, 3236, 3237, 3238, 3239, 3240, 3241, 3242, 3243,
-      3244, 3245, 3246, 3247, 3248, 3249, 3250, 3251, 3252, 3253, 3254, 3255,
-      2927, 2923, 2891, 2887, 2851, 2442, 2261, 2225, 2044, 2008, 2634, 2632,
-      2616, 2614, 2596, 1535, 1765, 1761, 1515, 1511, 1729, 1725, 1467, 1463,
-      1689, 609,
-    ],
-    [
-      3256, 3257, 3258, 3259, 3260, 3261, 3262, 3263, 3264, 3265, 3266, 3267,
-      3268, 3269, 3270, 3271, 3272, 3273, 3274, 3275, 3276, 3277, 3278, 3279,
-      3280, 3281, 3282, 3283, 3284, 3285, 3286, 3287, 3288, 3289, 3290, 3291,
-      2943, 2939, 2903, 2895, 2855, 2477, 2367, 2296, 2151, 2078, 2638, 2636,
-      2620, 2618, 2598, 1539, 1773, 1769, 1523, 1519, 1745, 1741, 1491, 1486,
-      1709, 652,
-    ],
-    [
-      3292, 3293, 3294, 3295, 3296, 3297, 3298, 3299, 3300, 3301, 3302, 3303,
-      3304, 3305, 3306, 3307, 3308, 3309, 3310, 3311, 3312, 3313, 3314, 3315,
-      3316, 3317, 3318, 3319, 3320, 3321, 3322, 3323, 3324, 3325, 3326, 3327,
-      2951, 2947, 2907, 2899, 2859, 2512, 2403, 2331, 2186, 2114, 2642, 2641,
-      2624, 2622, 2600, 1543, 1781, 1777, 1531, 1527, 1753, 1749, 1499, 1495,
-      1713, 695,
-    ],
-    [
-      3328, 3329, 3330, 3331, 3332, 3333, 3334, 3335, 3336, 3337, 3338, 3339,
-      3340, 3341, 3342, 3343, 3344, 3345, 3346, 3347, 3348, 3349, 3350, 3351,
-      3352, 3353, 3354, 3355, 3356, 3357, 3358, 3359, 3360, 3361, 3362, 3363,
-      2991, 2983, 2967, 2959, 2931, 2544, 2470, 2435, 2292, 2218, 2666, 2662,
-      2654, 2650, 2644, 1595, 1829, 1821, 1579, 1571, 1805, 1797, 1551, 1547,
-      1785, 738,
-    ],
-    [
-      3364, 3365, 3366, 3367, 3368, 3369, 3370, 3371, 3372, 3373, 3374, 3375,
-      3376, 3377, 3378, 3379, 3380, 3381, 3382, 3383, 3384, 3385, 3386, 3387,
-      3388, 3389, 3390, 3391, 3392, 3393, 3394, 3395, 3396, 3397, 3398, 3399,
-      2995, 2987, 2971, 2963, 2935, 2543, 2505, 2434, 2327, 2254, 2668, 2664,
-      2657, 2652, 2646, 1599, 1833, 1825, 1583, 1575, 1809, 1801, 1559, 1555,
-      1789, 781,
-    ],
-    [
-      3400, 3401, 3402, 3403, 3404, 3405, 3406, 3407, 3408, 3409, 3410, 3411,
-      3412, 3413, 3414, 3415, 3416, 3417, 3418, 3419, 3420, 3421, 3422, 3423,
-      3424, 3425, 3426, 3427, 3428, 3429, 3430, 3431, 3432, 3433, 3434, 3435,
-      3003, 2999, 2979, 2975, 2955, 2536, 2504, 2469, 2396, 2360, 2672, 2670,
-      2660, 2658, 2648, 1603, 1841, 1837, 1591, 1587, 1817, 1813, 1567, 1563,
-      1793, 823,
-    ],
-    [1859, 2766, 3039, 3436, 3437],
-    [3038, 1858, 2770, 3438, 3439],
-    [2774, 1856, 3075, 3440, 3441],
-    [1855, 2778, 3111, 3442, 3443],
-    [2782, 1854, 3074, 3444, 3445],
-    [1852, 2786, 3110, 3446, 3447],
-    [2765, 1896, 3036, 3448, 3449],
-    [1932, 2769, 3035, 3450, 3451],
-    [1895, 2773, 3072, 3452, 3453],
-    [1931, 2777, 3108, 3454, 3455],
-    [1968, 2781, 3071, 3456, 3457],
-    [1967, 2785, 3107, 3458, 3459],
-    [2790, 1894, 3034, 3460, 3461],
-    [1930, 2794, 3032, 3462, 3463],
-    [3070, 1892, 2798, 3464, 3465],
-    [1928, 2802, 3106, 3466, 3467],
-    [1966, 2806, 3068, 3468, 3469],
-    [2810, 1964, 3104, 3470, 3471],
-    [2004, 2789, 3030, 3472, 3473],
-    [2040, 2793, 3029, 3474, 3475],
-    [2075, 2797, 3066, 3476, 3477],
-    [2801, 2111, 3102, 3478, 3479],
-    [2147, 3065, 2805, 3480, 3481],
-    [2182, 2809, 3101, 3482, 3483],
-    [3028, 2003, 2814, 3484, 3485],
-    [2039, 2813, 3026, 3486, 3487],
-    [1890, 2818, 3147, 3488, 3489],
-    [3146, 1889, 2822, 3490, 3491],
-    [2826, 1926, 3183, 3492, 3493],
-    [2830, 1925, 3182, 3494, 3495],
-    [2074, 2834, 3064, 3496, 3497],
-    [2146, 2833, 3062, 3498, 3499],
-    [2110, 2838, 3100, 3500, 3501],
-    [2181, 3098, 2837, 3502, 3503],
-    [1962, 3219, 2842, 3504, 3505],
-    [1961, 2846, 3218, 3506, 3507],
-    [2817, 2001, 3144, 3508, 3509],
-    [2072, 2821, 3143, 3510, 3511],
-    [2825, 2037, 3180, 3512, 3513],
-    [2108, 2829, 3179, 3514, 3515],
-    [2144, 2841, 3216, 3516, 3517],
-    [2845, 2179, 3215, 3518, 3519],
-    [2000, 2850, 3255, 3520, 3521],
-    [2862, 1999, 3142, 3522, 3523],
-    [2036, 2849, 3254, 3524, 3525],
-    [2866, 2035, 3178, 3526, 3527],
-    [2071, 2870, 3140, 3528, 3529],
-    [2069, 2854, 3291, 3530, 3531],
-    [2874, 2107, 3176, 3532, 3533],
-    [2853, 2143, 3290, 3534, 3535],
-    [2105, 2858, 3327, 3536, 3537],
-    [2878, 2142, 3214, 3538, 3539],
-    [2178, 2857, 3326, 3540, 3541],
-    [2882, 2177, 3212, 3542, 3543],
-    [1997, 2886, 3253, 3544, 3545],
-    [2033, 2890, 3251, 3546, 3547],
-    [2068, 2894, 3289, 3548, 3549],
-    [2140, 2902, 3287, 3550, 3551],
-    [2104, 2898, 3325, 3552, 3553],
-    [2175, 2906, 3323, 3554, 3555],
-    [2217, 2861, 3138, 3556, 3557],
-    [2289, 2869, 3137, 3558, 3559],
-    [2253, 2865, 3174, 3560, 3561],
-    [2324, 2873, 3173, 3562, 3563],
-    [2359, 2877, 3210, 3564, 3565],
-    [2395, 2881, 3209, 3566, 3567],
-    [2885, 2216, 3249, 3568, 3569],
-    [2215, 2910, 3136, 3570, 3571],
-    [2889, 2252, 3248, 3572, 3573],
-    [2288, 3134, 2909, 3574, 3575],
-    [2914, 2251, 3172, 3576, 3577],
-    [2893, 2286, 3285, 3578, 3579],
-    [2323, 2913, 3170, 3580, 3581],
-    [2321, 2897, 3321, 3582, 3583],
-    [2901, 2358, 3284, 3584, 3585],
-    [2357, 2918, 3208, 3586, 3587],
-    [2905, 2394, 3320, 3588, 3589],
-    [2393, 2917, 3206, 3590, 3591],
-    [2922, 2213, 3247, 3592, 3593],
-    [2249, 2926, 3245, 3594, 3595],
-    [2285, 2938, 3283, 3596, 3597],
-    [2942, 2355, 3281, 3598, 3599],
-    [2320, 2946, 3319, 3600, 3601],
-    [2950, 2391, 3317, 3602, 3603],
-    [2430, 2921, 3243, 3604, 3605],
-    [2429, 3242, 2925, 3606, 3607],
-    [2211, 3363, 2930, 3608, 3609],
-    [2283, 2929, 3362, 3610, 3611],
-    [2247, 2934, 3399, 3612, 3613],
-    [2318, 2933, 3398, 3614, 3615],
-    [2937, 2465, 3279, 3616, 3617],
-    [2941, 2464, 3278, 3618, 3619],
-    [3315, 2500, 2945, 3620, 3621],
-    [2499, 2949, 3314, 3622, 3623],
-    [2353, 2954, 3435, 3624, 3625],
-    [3434, 2389, 2953, 3626, 3627],
-    [2210, 2958, 3361, 3628, 3629],
-    [2246, 2962, 3397, 3630, 3631],
-    [2966, 2282, 3359, 3632, 3633],
-    [2317, 2970, 3395, 3634, 3635],
-    [2352, 2974, 3433, 3636, 3637],
-    [2388, 2978, 3431, 3638, 3639],
-    [2957, 2427, 3357, 3640, 3641],
-    [2426, 2961, 3393, 3642, 3643],
-    [2462, 2965, 3356, 3644, 3645],
-    [3392, 2497, 2969, 3646, 3647],
-    [2461, 2973, 3429, 3648, 3649],
-    [2977, 2496, 3428, 3650, 3651],
-    [2425, 2982, 3355, 3652, 3653],
-    [2423, 2986, 3391, 3654, 3655],
-    [2460, 2990, 3353, 3656, 3657],
-    [2495, 2994, 3389, 3658, 3659],
-    [2458, 2998, 3427, 3660, 3661],
-    [3002, 2493, 3425, 3662, 3663],
-    [2535, 2981, 3351, 3664, 3665],
-    [2985, 2534, 3387, 3666, 3667],
-    [2533, 2989, 3350, 3668, 3669],
-    [2993, 2531, 3386, 3670, 3671],
-    [3423, 2529, 2997, 3672, 3673],
-    [2528, 3001, 3422, 3674, 3675],
-    [3676, 3677, 3678, 3679, 3037, 3438, 3436, 1857],
-    [3680, 3681, 3682, 3683, 3073, 3445, 3440, 1853],
-    [3684, 3685, 3686, 3687, 3109, 3446, 3442, 1851],
-    [3688, 3689, 3690, 3691, 3033, 3460, 3448, 1893],
-    [3692, 3693, 3694, 3695, 3031, 3463, 3450, 1929],
-    [3696, 3697, 3698, 3699, 3069, 3464, 3452, 1891],
-    [3700, 3701, 3702, 3703, 3105, 3466, 3454, 1927],
-    [3704, 3705, 3706, 3707, 3067, 3468, 3456, 1965],
-    [3708, 3709, 3710, 3711, 3103, 3470, 3458, 1963],
-    [3712, 3713, 3714, 3715, 3027, 3484, 3472, 2002],
-    [3716, 3717, 3718, 3719, 3025, 3486, 3475, 2038],
-    [3720, 3721, 3722, 3723, 3145, 3490, 3488, 1888],
-    [3724, 3725, 3726, 3727, 3181, 3494, 3492, 1924],
-    [3728, 3729, 3730, 3731, 3063, 3497, 3476, 2073],
-    [3732, 3733, 3734, 3735, 3061, 3499, 3480, 2145],
-    [3736, 3737, 3738, 3739, 3099, 3500, 3479, 2109],
-    [3740, 3741, 3742, 3743, 3097, 3502, 3482, 2180],
-    [3744, 3745, 3746, 3747, 3217, 3506, 3504, 1960],
-    [3748, 3749, 3750, 3751, 3141, 3523, 3508, 1998],
-    [3752, 3753, 3754, 3755, 3177, 3526, 3512, 2034],
-    [3756, 3757, 3758, 3759, 3139, 3529, 3510, 2070],
-    [3760, 3761, 3762, 3763, 3175, 3533, 3514, 2106],
-    [3764, 3765, 3766, 3767, 3213, 3539, 3516, 2141],
-    [3768, 3769, 3770, 3771, 3211, 3543, 3518, 2176],
-    [3772, 3773, 3774, 3775, 3252, 3544, 3520, 1996],
-    [3776, 3777, 3778, 3779, 3250, 3546, 3524, 2032],
-    [3780, 3781, 3782, 3783, 3288, 3548, 3530, 2067],
-    [3784, 3785, 3786, 3787, 3286, 3550, 3535, 2139],
-    [3788, 3789, 3790, 3791, 3324, 3553, 3536, 2103],
-    [3792, 3793, 3794, 3795, 3322, 3554, 3540, 2174],
-    [3796, 3797, 3798, 3799, 3135, 3570, 3556, 2214],
-    [3800, 3801, 3802, 3803, 3133, 3574, 3559, 2287],
-    [3804, 3805, 3806, 3807, 3171, 3577, 3560, 2250],
-    [3808, 3809, 3810, 3811, 3169, 3580, 3562, 2322],
-    [3812, 3813, 3814, 3815, 3207, 3586, 3564, 2356],
-    [3816, 3817, 3818, 3819, 3205, 3590, 3566, 2392],
-    [3820, 3821, 3822, 3823, 3246, 3592, 3569, 2212],
-    [3824, 3825, 3826, 3827, 3244, 3594, 3573, 2248],
-    [3828, 3829, 3830, 3831, 3282, 3596, 3579, 2284],
-    [3832, 3833, 3834, 3835, 3318, 3600, 3583, 2319],
-    [3836, 3837, 3838, 3839, 3280, 3598, 3584, 2354],
-    [3840, 3841, 3842, 3843, 3316, 3602, 3589, 2390],
-    [3844, 3845, 3846, 3847, 3241, 3606, 3604, 2428],
-    [3848, 3849, 3850, 3851, 3360, 3628, 3608, 2209],
-    [3852, 3853, 3854, 3855, 3358, 3633, 3610, 2281],
-    [3856, 3857, 3858, 3859, 3396, 3630, 3613, 2245],
-    [3860, 3861, 3862, 3863, 3394, 3634, 3615, 2316],
-    [3864, 3865, 3866, 3867, 3277, 3618, 3616, 2463],
-    [3868, 3869, 3870, 3871, 3313, 3622, 3620, 2498],
-    [3872, 3873, 3874, 3875, 3432, 3637, 3624, 2351],
-    [3876, 3877, 3878, 3879, 3430, 3638, 3626, 2387],
-    [3880, 3881, 3882, 3883, 3354, 3652, 3640, 2424],
-    [3884, 3885, 3886, 3887, 3390, 3654, 3642, 2422],
-    [3888, 3889, 3890, 3891, 3352, 3656, 3644, 2459],
-    [3892, 3893, 3894, 3895, 3388, 3658, 3646, 2494],
-    [3896, 3897, 3898, 3899, 3426, 3660, 3649, 2457],
-    [3900, 3901, 3902, 3903, 3424, 3662, 3650, 2492],
-    [3904, 3905, 3906, 3907, 3349, 3668, 3664, 2532],
-    [3908, 3909, 3910, 3911, 3385, 3670, 3667, 2530],
-    [3912, 3913, 3914, 3915, 3421, 3674, 3672, 2527],
-    [1848, 3679, 3916, 3917, 3918],
-    [1846, 3683, 3919, 3920, 3921],
-    [1845, 3687, 3922, 3923, 3924],
-    [1885, 3691, 3925, 3926, 3927],
-    [1883, 3699, 3928, 3929, 3930],
-    [1921, 3695, 3931, 3932, 3933],
-    [1919, 3703, 3934, 3935, 3936],
-    [1957, 3707, 3937, 3938, 3939],
-    [1955, 3711, 3940, 3941, 3942],
-    [1882, 3723, 3943, 3944, 3945],
-    [1918, 3727, 3946, 3947, 3948],
-    [1954, 3747, 3949, 3950, 3951],
-    [1993, 3715, 3952, 3953, 3954],
-    [2029, 3719, 3955, 3956, 3957],
-    [2064, 3731, 3958, 3959, 3960],
-    [2136, 3735, 3961, 3962, 3963],
-    [2100, 3739, 3964, 3965, 3966],
-    [2171, 3743, 3967, 3968, 3969],
-    [1991, 3751, 3970, 3971, 3972],
-    [2027, 3755, 3973, 3974, 3975],
-    [2062, 3759, 3976, 3977, 3978],
-    [2098, 3763, 3979, 3980, 3981],
-    [2134, 3767, 3982, 3983, 3984],
-    [2169, 3771, 3985, 3986, 3987],
-    [1990, 3775, 3988, 3989, 3990],
-    [2026, 3779, 3991, 3992, 3993],
-    [2061, 3783, 3994, 3995, 3996],
-    [2133, 3787, 3997, 3998, 3999],
-    [2097, 3791, 4000, 4001, 4002],
-    [2168, 3795, 4003, 4004, 4005],
-    [2206, 3799, 4006, 4007, 4008],
-    [2278, 3803, 4009, 4010, 4011],
-    [2242, 3807, 4012, 4013, 4014],
-    [2313, 3811, 4015, 4016, 4017],
-    [2348, 3815, 4018, 4019, 4020],
-    [2384, 3819, 4021, 4022, 4023],
-    [2204, 3823, 4024, 4025, 4026],
-    [2240, 3827, 4027, 4028, 4029],
-    [2276, 3831, 4030, 4031, 4032],
-    [2311, 3835, 4033, 4034, 4035],
-    [2346, 3839, 4036, 4037, 4038],
-    [2382, 3843, 4039, 4040, 4041],
-    [2203, 3851, 4042, 4043, 4044],
-    [2275, 3855, 4045, 4046, 4047],
-    [2239, 3859, 4048, 4049, 4050],
-    [2310, 3863, 4051, 4052, 4053],
-    [2345, 3875, 4054, 4055, 4056],
-    [2381, 3879, 4057, 4058, 4059],
-    [2419, 3847, 4060, 4061, 4062],
-    [2454, 3867, 4063, 4064, 4065],
-    [2489, 3871, 4066, 4067, 4068],
-    [2417, 3883, 4069, 4070, 4071],
-    [2416, 3887, 4072, 4073, 4074],
-    [2452, 3891, 4075, 4076, 4077],
-    [2451, 3899, 4078, 4079, 4080],
-    [2487, 3895, 4081, 4082, 4083],
-    [2486, 3903, 4084, 4085, 4086],
-    [2524, 3907, 4087, 4088, 4089],
-    [2522, 3911, 4090, 4091, 4092],
-    [2521, 3915, 4093, 4094, 4095],
-    [4096, 4097, 4098, 3922, 4099, 3919, 3918, 1844],
-    [4100, 4101, 4102, 3945, 4103, 3930, 3925, 1881],
-    [4104, 4105, 4106, 3946, 4107, 3936, 3931, 1917],
-    [4108, 4109, 4110, 3951, 4111, 3940, 3937, 1953],
-    [4112, 4113, 4114, 3988, 4115, 3970, 3954, 1989],
-    [4116, 4117, 4118, 3993, 4119, 3973, 3955, 2025],
-    [4120, 4121, 4122, 3994, 4123, 3976, 3958, 2060],
-    [4124, 4125, 4126, 4002, 4127, 3979, 3964, 2096],
-    [4128, 4129, 4130, 3997, 4131, 3982, 3963, 2132],
-    [4132, 4133, 4134, 4003, 4135, 3985, 3969, 2167],
-    [4136, 4137, 4138, 4044, 4139, 4024, 4006, 2202],
-    [4140, 4141, 4142, 4050, 4143, 4027, 4012, 2238],
-    [4144, 4145, 4146, 4045, 4147, 4030, 4011, 2274],
-    [4148, 4149, 4150, 4051, 4151, 4033, 4015, 2309],
-    [4152, 4153, 4154, 4054, 4155, 4036, 4020, 2344],
-    [4156, 4157, 4158, 4059, 4159, 4039, 4021, 2380],
-    [4160, 4161, 4162, 4072, 4163, 4069, 4062, 2415],
-    [4164, 4165, 4166, 4078, 4167, 4077, 4063, 2450],
-    [4168, 4169, 4170, 4084, 4171, 4083, 4068, 2485],
-    [4172, 4173, 4174, 4095, 4175, 4090, 4087, 2520],
-    [3676, 3024, 4176, 4177, 4178],
-    [3680, 3060, 4179, 4180, 4181],
-    [3684, 3096, 4182, 4183, 4184],
-    [3688, 3021, 4185, 4186, 4187],
-    [3692, 3020, 4188, 4189, 4190],
-    [3057, 3696, 4191, 4192, 4193],
-    [3700, 3093, 4194, 4195, 4196],
-    [3704, 3056, 4197, 4198, 4199],
-    [3708, 3092, 4200, 4201, 4202],
-    [3712, 3017, 4203, 4204, 4205],
-    [3716, 3016, 4206, 4207, 4208],
-    [3728, 3053, 4209, 4210, 4211],
-    [3732, 3052, 4212, 4213, 4214],
-    [3736, 3089, 4215, 4216, 4217],
-    [3088, 3740, 4218, 4219, 4220],
-    [3132, 3720, 4221, 4222, 4223],
-    [3168, 3724, 4224, 4225, 4226],
-    [3204, 3744, 4227, 4228, 4229],
-    [3748, 3129, 4230, 4231, 4232],
-    [3756, 3128, 4233, 4234, 4235],
-    [3165, 3752, 4236, 4237, 4238],
-    [3164, 3760, 4239, 4240, 4241],
-    [3764, 3201, 4242, 4243, 4244],
-    [3768, 3200, 4245, 4246, 4247],
-    [3772, 3239, 4248, 4249, 4250],
-    [3776, 3238, 4251, 4252, 4253],
-    [3275, 3780, 4254, 4255, 4256],
-    [3274, 3784, 4257, 4258, 4259],
-    [3788, 3311, 4260, 4261, 4262],
-    [3792, 3310, 4263, 4264, 4265],
-    [3796, 3125, 4266, 4267, 4268],
-    [3800, 3124, 4269, 4270, 4271],
-    [3161, 3804, 4272, 4273, 4274],
-    [3160, 3808, 4275, 4276, 4277],
-    [3812, 3197, 4278, 4279, 4280],
-    [3816, 3196, 4281, 4282, 4283],
-    [3820, 3235, 4284, 4285, 4286],
-    [3824, 3234, 4287, 4288, 4289],
-    [3271, 3828, 4290, 4291, 4292],
-    [3270, 3836, 4293, 4294, 4295],
-    [3832, 3307, 4296, 4297, 4298],
-    [3840, 3306, 4299, 4300, 4301],
-    [3231, 3844, 4302, 4303, 4304],
-    [3267, 3864, 4305, 4306, 4307],
-    [3303, 3868, 4308, 4309, 4310],
-    [3347, 3848, 4311, 4312, 4313],
-    [3852, 3346, 4314, 4315, 4316],
-    [3856, 3383, 4317, 4318, 4319],
-    [3860, 3382, 4320, 4321, 4322],
-    [3872, 3419, 4323, 4324, 4325],
-    [3876, 3418, 4326, 4327, 4328],
-    [3880, 3343, 4329, 4330, 4331],
-    [3884, 3379, 4332, 4333, 4334],
-    [3888, 3342, 4335, 4336, 4337],
-    [3378, 3892, 4338, 4339, 4340],
-    [3896, 3415, 4341, 4342, 4343],
-    [3900, 3414, 4344, 4345, 4346],
-    [3904, 3339, 4347, 4348, 4349],
-    [3908, 3375, 4350, 4351, 4352],
-    [3912, 3411, 4353, 4354, 4355],
-    [4096, 4356, 4357, 4358, 4359],
-    [
-      4360, 4361, 4362, 4363, 4364, 4365, 4366, 4367, 4368, 4369, 4370, 4371,
-      4372, 4373, 4374, 4375, 4376, 4377, 4378, 4379, 4380, 4381, 4382, 4383,
-      4384, 4385, 4386, 4387, 4388, 4389, 4390, 4391, 4392, 4393, 4394, 4395,
-      4357, 4191, 4185, 4180, 4176, 4103, 3929, 3926, 3059, 3023, 4099, 3920,
-      3917, 3698, 3690, 3682, 3678, 1887, 3453, 3449, 3441, 3437, 1850, 2772,
-      2764, 2676,
-    ],
-    [
-      4396, 4397, 4398, 4399, 4400, 4401, 4402, 4403, 4404, 4405, 4406, 4407,
-      4408, 4409, 4410, 4411, 4412, 4413, 4414, 4415, 4416, 4417, 4418, 4419,
-      4420, 4421, 4422, 4423, 4388, 4424, 4425, 4426, 4427, 4428, 4429, 4430,
-      4356, 4195, 4189, 4183, 4177, 4107, 3934, 3932, 3095, 3022, 4098, 3923,
-      3916, 3702, 3694, 3686, 3677, 1923, 3455, 3451, 3443, 3439, 1849, 2776,
-      2768, 2679,
-    ],
-    [
-      4431, 4432, 4433, 4434, 4435, 4436, 4437, 4438, 4439, 4440, 4441, 4442,
-      4443, 4444, 4445, 4446, 4447, 4448, 4449, 4450, 4451, 4452, 4453, 4454,
-      4455, 4456, 4457, 4423, 4387, 4458, 4459, 4460, 4461, 4462, 4463, 4464,
-      4358, 4200, 4197, 4182, 4179, 4111, 3942, 3939, 3094, 3058, 4097, 3924,
-      3921, 3710, 3706, 3685, 3681, 1959, 3459, 3457, 3447, 3444, 1847, 2784,
-      2780, 2682,
-    ],
-    [4465, 4466, 4467, 4430, 4468, 4395, 3014, 4178],
-    [4469, 4470, 4471, 4464, 4472, 4394, 3050, 4181],
-    [4473, 4474, 4475, 4463, 4476, 4429, 3086, 4184],
-    [3012, 4468, 4392, 4477, 4478],
-    [3010, 4427, 4467, 4479, 4480],
-    [3048, 4472, 4390, 4481, 4482],
-    [3046, 4471, 4461, 4483, 4484],
-    [3084, 4425, 4476, 4485, 4486],
-    [3082, 4475, 4459, 4487, 4488],
-    [4489, 4490, 4491, 4492, 4393, 4477, 4187, 3013],
-    [4493, 4494, 4495, 4496, 4428, 4479, 4190, 3011],
-    [4497, 4498, 4499, 4500, 4481, 4391, 3049, 4193],
-    [4501, 4502, 4503, 4504, 4485, 4426, 3085, 4196],
-    [4505, 4506, 4507, 4508, 4462, 4483, 4199, 3047],
-    [4509, 4510, 4511, 4512, 4460, 4487, 4202, 3083],
-    [3008, 4492, 4513, 4514, 4515],
-    [3006, 4496, 4516, 4517, 4518],
-    [4100, 4389, 4519, 4520, 4521],
-    [4104, 4424, 4522, 4523, 4524],
-    [3044, 4499, 4525, 4526, 4527],
-    [3042, 4508, 4528, 4529, 4530],
-    [3080, 4503, 4531, 4532, 4533],
-    [3078, 4512, 4534, 4535, 4536],
-    [4108, 4458, 4537, 4538, 4539],
-    [3005, 4540, 4541, 4542, 4543],
-    [3041, 4544, 4545, 4546, 4547],
-    [3077, 4548, 4549, 4550, 4551],
-    [4552, 4553, 4554, 4540, 4555, 4514, 4205, 3009],
-    [4556, 4557, 4558, 4541, 4559, 4517, 4208, 3007],
-    [4560, 4561, 4562, 4545, 4563, 4525, 4211, 3045],
-    [4564, 4565, 4566, 4544, 4567, 4528, 4214, 3043],
-    [4568, 4569, 4570, 4549, 4571, 4532, 4216, 3081],
-    [4572, 4573, 4574, 4548, 4575, 4535, 4220, 3079],
-    [
-      4576, 4577, 4578, 4579, 4580, 4581, 4582, 4583, 4584, 4585, 4586, 4587,
-      4588, 4589, 4590, 4591, 4592, 4593, 4594, 4595, 4596, 4597, 4598, 4599,
-      4600, 4601, 4602, 4603, 4386, 4604, 4605, 4606, 4607, 4520, 4513, 4555,
-      4491, 4231, 4221, 4203, 4186, 3131, 4115, 3971, 3953, 4102, 3944, 3019,
-      3927, 3750, 3714, 3722, 3689, 3509, 1995, 3489, 3473, 1886, 3461, 2816,
-      2788, 2685,
-    ],
-    [
-      4608, 4609, 4610, 4611, 4612, 4613, 4614, 4615, 4616, 4617, 4618, 4619,
-      4620, 4621, 4622, 4623, 4624, 4625, 4626, 4627, 4628, 4629, 4630, 4631,
-      4632, 4633, 4634, 4635, 4422, 4636, 4637, 4638, 4639, 4523, 4516, 4559,
-      4495, 4236, 4224, 4206, 4188, 3167, 4119, 3975, 3957, 4106, 3948, 3018,
-      3933, 3754, 3718, 3726, 3693, 3513, 2031, 3493, 3474, 1922, 3462, 2824,
-      2792, 2688,
-    ],
-    [
-      4640, 4641, 4642, 4643, 4644, 4645, 4646, 4647, 4648, 4649, 4650, 4651,
-      4652, 4653, 4654, 4655, 4656, 4657, 4658, 4659, 4660, 4661, 4662, 4663,
-      4664, 4665, 4666, 4603, 4385, 4667, 4668, 4669, 4670, 4526, 4563, 4519,
-      4500, 4234, 4222, 4210, 4192, 4123, 3977, 3130, 3959, 3055, 4101, 3943,
-      3928, 3758, 3730, 3721, 3697, 3511, 2066, 3491, 3477, 1884, 3465, 2820,
-      2796, 2691,
-    ],
-    [
-      4671, 4672, 4673, 4674, 4675, 4676, 4677, 4678, 4679, 4680, 4681, 4682,
-      4683, 4684, 4685, 4686, 4687, 4688, 4689, 4690, 4691, 4692, 4693, 4694,
-      4695, 4696, 4697, 4635, 4421, 4698, 4699, 4700, 4701, 4531, 4571, 4522,
-      4504, 4239, 4226, 4215, 4194, 4127, 3981, 3166, 3966, 3091, 4105, 3947,
-      3935, 3762, 3738, 3725, 3701, 3515, 2102, 3495, 3478, 1920, 3467, 2828,
-      2800, 2694,
-    ],
-    [
-      4702, 4703, 4704, 4705, 4706, 4707, 4708, 4709, 4710, 4711, 4712, 4713,
-      4714, 4715, 4716, 4717, 4718, 4719, 4720, 4721, 4722, 4723, 4724, 4725,
-      4726, 4727, 4728, 4729, 4457, 4730, 4731, 4732, 4733, 4537, 4529, 4567,
-      4507, 4244, 4228, 4213, 4198, 3203, 4131, 3983, 3962, 4110, 3949, 3054,
-      3938, 3766, 3734, 3746, 3705, 3517, 2138, 3505, 3481, 1958, 3469, 2840,
-      2804, 2697,
-    ],
-    [
-      4734, 4735, 4736, 4737, 4738, 4739, 4740, 4741, 4742, 4743, 4744, 4745,
-      4746, 4747, 4748, 4749, 4750, 4751, 4752, 4753, 4754, 4755, 4756, 4757,
-      4758, 4759, 4760, 4729, 4456, 4761, 4762, 4763, 4764, 4538, 4534, 4575,
-      4511, 4246, 4227, 4218, 4201, 3202, 4135, 3986, 3968, 4109, 3950, 3090,
-      3941, 3770, 3742, 3745, 3709, 3519, 2173, 3507, 3483, 1956, 3471, 2844,
-      2808, 2700,
-    ],
-    [4765, 4766, 4767, 4670, 4768, 4607, 3122, 4223],
-    [4769, 4770, 4771, 4701, 4772, 4639, 3158, 4225],
-    [4773, 4774, 4775, 4764, 4776, 4733, 3194, 4229],
-    [
-      4777, 4778, 4779, 4780, 4781, 4782, 4783, 4784, 4785, 4786, 4787, 4788,
-      4789, 4790, 4791, 4792, 4793, 4794, 4795, 4796, 4797, 4798, 4799, 4800,
-      4801, 4802, 4803, 4634, 4602, 4804, 4805, 4806, 4807, 4808, 4542, 4558,
-      4554, 4252, 4249, 4207, 4204, 3240, 4118, 3991, 4114, 3989, 3956, 3952,
-      3015, 3778, 3774, 3717, 3713, 3525, 3521, 2030, 1994, 3487, 3485, 2848,
-      2812, 2703,
-    ],
-    [
-      4809, 4810, 4811, 4812, 4813, 4814, 4815, 4816, 4817, 4818, 4819, 4820,
-      4821, 4822, 4823, 4824, 4825, 4826, 4827, 4828, 4829, 4830, 4831, 4832,
-      4833, 4834, 4835, 4728, 4666, 4836, 4837, 4838, 4839, 4840, 4546, 4566,
-      4562, 4258, 4254, 4212, 4209, 3276, 4130, 3998, 4122, 3995, 3961, 3960,
-      3051, 3786, 3782, 3733, 3729, 3534, 3531, 2137, 2065, 3498, 3496, 2852,
-      2832, 2706,
-    ],
-    [
-      4841, 4842, 4843, 4844, 4845, 4846, 4847, 4848, 4849, 4850, 4851, 4852,
-      4853, 4854, 4855, 4856, 4857, 4858, 4859, 4860, 4861, 4862, 4863, 4864,
-      4865, 4866, 4867, 4760, 4697, 4868, 4869, 4870, 4871, 4872, 4550, 4574,
-      4570, 4264, 4261, 4219, 4217, 3312, 4134, 4004, 4126, 4001, 3967, 3965,
-      3087, 3794, 3790, 3741, 3737, 3541, 3537, 2172, 2101, 3503, 3501, 2856,
-      2836, 2709,
-    ],
-    [4112, 4606, 4808, 4873, 4874],
-    [3120, 4604, 4768, 4875, 4876],
-    [4116, 4638, 4807, 4877, 4878],
-    [3118, 4668, 4767, 4879, 4880],
-    [3156, 4772, 4636, 4881, 4882],
-    [4120, 4667, 4840, 4883, 4884],
-    [3154, 4699, 4771, 4885, 4886],
-    [4124, 4698, 4872, 4887, 4888],
-    [4128, 4732, 4839, 4889, 4890],
-    [3192, 4730, 4776, 4891, 4892],
-    [4132, 4763, 4871, 4893, 4894],
-    [3190, 4761, 4775, 4895, 4896],
-    [4897, 4898, 4899, 4900, 4875, 4605, 3121, 4232],
-    [4901, 4902, 4903, 4904, 4879, 4669, 3119, 4235],
-    [4905, 4906, 4907, 4908, 4881, 4637, 3157, 4237],
-    [4909, 4910, 4911, 4912, 4885, 4700, 3155, 4241],
-    [4913, 4914, 4915, 4916, 4891, 4731, 3193, 4243],
-    [4917, 4918, 4919, 4920, 4895, 4762, 3191, 4247],
-    [3116, 4899, 4921, 4922, 4923],
-    [3114, 4903, 4924, 4925, 4926],
-    [3152, 4907, 4927, 4928, 4929],
-    [3150, 4911, 4930, 4931, 4932],
-    [3188, 4915, 4933, 4934, 4935],
-    [3186, 4919, 4936, 4937, 4938],
-    [
-      4939, 4940, 4941, 4942, 4943, 4944, 4945, 4946, 4947, 4948, 4949, 4950,
-      4951, 4952, 4953, 4954, 4955, 4956, 4957, 4958, 4959, 4960, 4961, 4962,
-      4963, 4964, 4965, 4803, 4601, 4966, 4967, 4968, 4969, 4921, 4970, 4900,
-      4873, 4284, 4266, 4248, 4230, 4139, 4026, 4008, 3237, 3127, 4113, 3990,
-      3972, 3822, 3798, 3773, 3749, 2208, 3568, 3557, 3545, 3522, 1992, 2884,
-      2860, 2712,
-    ],
-    [4971, 4972, 4973, 4969, 4974, 4806, 3230, 4250],
-    [3228, 4804, 4974, 4975, 4976],
-    [4977, 4978, 4979, 4980, 4975, 4805, 3229, 4253],
-    [4981, 4982, 4983, 4984, 4970, 4922, 4268, 3117],
-    [3113, 4984, 4985, 4986, 4987],
-    [4988, 4989, 4990, 4985, 4991, 4925, 4271, 3115],
-    [
-      4992, 4993, 4994, 4995, 4996, 4997, 4998, 4999, 5000, 5001, 5002, 5003,
-      5004, 5005, 5006, 5007, 5008, 5009, 5010, 5011, 5012, 5013, 5014, 5015,
-      5016, 5017, 5018, 4802, 4633, 5019, 5020, 5021, 4980, 4927, 5022, 4908,
-      4877, 4287, 4272, 4251, 4238, 4143, 4029, 4014, 3236, 3163, 4117, 3992,
-      3974, 3826, 3806, 3777, 3753, 2244, 3572, 3561, 3547, 3527, 2028, 2888,
-      2864, 2715,
-    ],
-    [
-      5023, 5024, 5025, 5026, 5027, 5028, 5029, 5030, 5031, 5032, 5033, 5034,
-      5035, 5036, 5037, 5038, 5039, 5040, 5041, 5042, 5043, 5044, 5045, 5046,
-      5047, 5048, 5049, 4835, 4665, 5050, 5051, 5052, 5053, 4924, 4991, 4904,
-      4883, 4291, 4269, 4255, 4233, 4147, 4031, 4009, 3273, 3126, 4121, 3996,
-      3978, 3830, 3802, 3781, 3757, 2280, 3578, 3558, 3549, 3528, 2063, 2892,
-      2868, 2718,
-    ],
-    [5054, 5055, 5056, 5057, 5022, 4928, 4274, 3153],
-    [3149, 5057, 5058, 5059, 5060],
-    [5061, 5062, 5063, 5058, 5064, 4931, 4277, 3151],
-    [5065, 5066, 5067, 5053, 5068, 4838, 3266, 4256],
-    [3264, 4836, 5068, 5069, 5070],
-    [5071, 5072, 5073, 5074, 5069, 4837, 3265, 4259],
-    [
-      5075, 5076, 5077, 5078, 5079, 5080, 5081, 5082, 5083, 5084, 5085, 5086,
-      5087, 5088, 5089, 5090, 5091, 5092, 5093, 5094, 5095, 5096, 5097, 5098,
-      5099, 5100, 5101, 4867, 4696, 5102, 5103, 5104, 5105, 4930, 5064, 4912,
-      4887, 4296, 4275, 4260, 4240, 4151, 4035, 4016, 3309, 3162, 4125, 4000,
-      3980, 3834, 3810, 3789, 3761, 2315, 3582, 3563, 3552, 3532, 2099, 2896,
-      2872, 2721,
-    ],
-    [
-      5106, 5107, 5108, 5109, 5110, 5111, 5112, 5113, 5114, 5115, 5116, 5117,
-      5118, 5119, 5120, 5121, 5122, 5123, 5124, 5125, 5126, 5127, 5128, 5129,
-      5130, 5131, 5132, 4834, 4727, 5133, 5134, 5135, 5074, 4933, 5136, 4916,
-      4889, 4295, 4278, 4257, 4242, 4155, 4037, 4019, 3272, 3199, 4129, 3999,
-      3984, 3838, 3814, 3785, 3765, 2350, 3585, 3565, 3551, 3538, 2135, 2900,
-      2876, 2724,
-    ],
-    [5137, 5138, 5139, 5105, 5140, 4870, 3302, 4262],
-    [3300, 4868, 5140, 5141, 5142],
-    [5143, 5144, 5145, 5146, 5141, 4869, 3301, 4265],
-    [5147, 5148, 5149, 5150, 5136, 4934, 4280, 3189],
-    [3185, 5150, 5151, 5152, 5153],
-    [5154, 5155, 5156, 5151, 5157, 4937, 4283, 3187],
-    [
-      5158, 5159, 5160, 5161, 5162, 5163, 5164, 5165, 5166, 5167, 5168, 5169,
-      5170, 5171, 5172, 5173, 5174, 5175, 5176, 5177, 5178, 5179, 5180, 5181,
-      5182, 5183, 5184, 4866, 4759, 5185, 5186, 5187, 5146, 4936, 5157, 4920,
-      4893, 4299, 4281, 4263, 4245, 4159, 4041, 4023, 3308, 3198, 4133, 4005,
-      3987, 3842, 3818, 3793, 3769, 2386, 3588, 3567, 3555, 3542, 2170, 2904,
-      2880, 2727,
-    ],
-    [3226, 4973, 4967, 5188, 5189],
-    [3224, 4979, 5020, 5190, 5191],
-    [3262, 5067, 5051, 5192, 5193],
-    [3260, 5073, 5134, 5194, 5195],
-    [3298, 5139, 5103, 5196, 5197],
-    [3296, 5145, 5186, 5198, 5199],
-    [5200, 5201, 5202, 5203, 4968, 5188, 4286, 3227],
-    [5204, 5205, 5206, 5207, 5021, 5190, 4288, 3225],
-    [5208, 5209, 5210, 5211, 5052, 5192, 4292, 3263],
-    [5212, 5213, 5214, 5215, 5135, 5194, 4294, 3261],
-    [5216, 5217, 5218, 5219, 5104, 5196, 4298, 3299],
-    [5220, 5221, 5222, 5223, 5187, 5198, 4301, 3297],
-    [3222, 5203, 5224, 5225, 5226],
-    [4136, 4966, 5227, 5228, 5229],
-    [3221, 5207, 5230, 5231, 5232],
-    [4140, 5019, 5233, 5234, 5235],
-    [4144, 5050, 5236, 5237, 5238],
-    [3258, 5211, 5239, 5240, 5241],
-    [4148, 5102, 5242, 5243, 5244],
-    [3257, 5215, 5245, 5246, 5247],
-    [3294, 5219, 5248, 5249, 5250],
-    [4152, 5133, 5251, 5252, 5253],
-    [3293, 5223, 5254, 5255, 5256],
-    [4156, 5185, 5257, 5258, 5259],
-    [
-      5260, 5261, 5262, 5263, 5264, 5265, 5266, 5267, 5268, 5269, 5270, 5271,
-      5272, 5273, 5274, 5275, 5276, 5277, 5278, 5279, 5280, 5281, 5282, 5283,
-      5284, 5285, 5286, 5049, 4965, 5287, 5288, 5289, 5236, 5227, 4986, 4990,
-      4983, 4316, 4312, 4270, 4267, 3348, 4146, 4046, 4138, 4042, 4010, 4007,
-      3123, 3854, 3850, 3801, 3797, 3611, 3609, 2279, 2207, 3575, 3571, 2928,
-      2908, 2730,
-    ],
-    [
-      5290, 5291, 5292, 5293, 5294, 5295, 5296, 5297, 5298, 5299, 5300, 5301,
-      5302, 5303, 5304, 5305, 5306, 5307, 5308, 5309, 5310, 5311, 5312, 5313,
-      5314, 5315, 5316, 5101, 5018, 5317, 5318, 5319, 5242, 5233, 5059, 5063,
-      5056, 4320, 4317, 4276, 4273, 3384, 4150, 4053, 4142, 4048, 4017, 4013,
-      3159, 3862, 3858, 3809, 3805, 3614, 3612, 2314, 2243, 3581, 3576, 2932,
-      2912, 2733,
-    ],
-    [
-      5320, 5321, 5322, 5323, 5324, 5325, 5326, 5327, 5328, 5329, 5330, 5331,
-      5332, 5333, 5334, 5335, 5336, 5337, 5338, 5339, 5340, 5341, 5342, 5343,
-      5344, 5345, 5346, 5184, 5132, 5347, 5348, 5349, 5257, 5251, 5152, 5156,
-      5149, 4327, 4324, 4282, 4279, 3420, 4158, 4057, 4154, 4055, 4022, 4018,
-      3195, 3878, 3874, 3817, 3813, 3627, 3625, 2385, 2349, 3591, 3587, 2952,
-      2916, 2736,
-    ],
-    [5350, 5351, 5352, 5230, 5353, 5224, 4304, 3223],
-    [5354, 5355, 5356, 5246, 5357, 5239, 4306, 3259],
-    [5358, 5359, 5360, 5254, 5361, 5248, 4310, 3295],
-    [
-      5362, 5363, 5364, 5365, 5366, 5367, 5368, 5369, 5370, 5371, 5372, 5373,
-      5374, 5375, 5376, 5377, 5378, 5379, 5380, 5381, 5382, 5383, 5384, 5385,
-      5386, 5387, 5388, 5286, 4964, 5389, 5390, 5391, 5392, 5228, 5225, 5353,
-      5202, 4330, 4311, 4302, 4285, 3345, 4163, 4070, 4061, 4137, 4043, 3233,
-      4025, 3882, 3846, 3849, 3821, 3641, 2421, 3629, 3605, 2205, 3593, 2956,
-      2920, 2739,
-    ],
-    [
-      5393, 5394, 5395, 5396, 5397, 5398, 5399, 5400, 5401, 5402, 5403, 5404,
-      5405, 5406, 5407, 5408, 5409, 5410, 5411, 5412, 5413, 5414, 5415, 5416,
-      5417, 5418, 5388, 5316, 5017, 5419, 5420, 5421, 5422, 5234, 5231, 5352,
-      5206, 4333, 4318, 4303, 4289, 3381, 4162, 4073, 4060, 4141, 4049, 3232,
-      4028, 3886, 3845, 3857, 3825, 3643, 2420, 3631, 3607, 2241, 3595, 2960,
-      2924, 2742,
-    ],
-    [
-      5423, 5424, 5425, 5426, 5427, 5428, 5429, 5430, 5431, 5432, 5433, 5434,
-      5435, 5436, 5437, 5438, 5439, 5440, 5441, 5442, 5443, 5444, 5445, 5446,
-      5447, 5448, 5449, 5285, 5048, 5450, 5451, 5452, 5453, 5240, 5357, 5237,
-      5210, 4335, 4314, 4307, 4290, 4167, 4076, 3344, 4064, 3269, 4145, 4047,
-      4032, 3890, 3866, 3853, 3829, 3645, 2456, 3632, 3617, 2277, 3597, 2964,
-      2936, 2745,
-    ],
-    [
-      5454, 5455, 5456, 5457, 5458, 5459, 5460, 5461, 5462, 5463, 5464, 5465,
-      5466, 5467, 5468, 5469, 5470, 5471, 5472, 5473, 5474, 5475, 5476, 5477,
-      5478, 5479, 5480, 5315, 5100, 5481, 5482, 5483, 5484, 5249, 5361, 5243,
-      5218, 4339, 4321, 4309, 4297, 4171, 4081, 3380, 4066, 3305, 4149, 4052,
-      4034, 3894, 3870, 3861, 3833, 3647, 2491, 3635, 3621, 2312, 3601, 2968,
-      2944, 2748,
-    ],
-    [
-      5485, 5486, 5487, 5488, 5489, 5490, 5491, 5492, 5493, 5494, 5495, 5496,
-      5497, 5498, 5499, 5500, 5501, 5502, 5503, 5504, 5505, 5506, 5507, 5508,
-      5509, 5510, 5449, 5346, 5131, 5511, 5512, 5513, 5514, 5252, 5245, 5356,
-      5214, 4341, 4323, 4305, 4293, 3417, 4166, 4080, 4065, 4153, 4056, 3268,
-      4038, 3898, 3865, 3873, 3837, 3648, 2455, 3636, 3619, 2347, 3599, 2972,
-      2940, 2751,
-    ],
-    [
-      5515, 5516, 5517, 5518, 5519, 5520, 5521, 5522, 5523, 5524, 5525, 5526,
-      5527, 5528, 5529, 5530, 5531, 5532, 5533, 5534, 5535, 5536, 5537, 5538,
-      5539, 5540, 5480, 5345, 5183, 5541, 5542, 5543, 5544, 5258, 5255, 5360,
-      5222, 4344, 4326, 4308, 4300, 3416, 4170, 4085, 4067, 4157, 4058, 3304,
-      4040, 3902, 3869, 3877, 3841, 3651, 2490, 3639, 3623, 2383, 3603, 2976,
-      2948, 2754,
-    ],
-    [5545, 5546, 5547, 5392, 5548, 5289, 3338, 4313],
-    [5549, 5550, 5551, 5453, 5552, 5288, 3337, 4315],
-    [5553, 5554, 5555, 5422, 5556, 5319, 3374, 4319],
-    [5557, 5558, 5559, 5484, 5560, 5318, 3373, 4322],
-    [5561, 5562, 5563, 5514, 5564, 5349, 3410, 4325],
-    [5565, 5566, 5567, 5544, 5568, 5348, 3409, 4328],
-    [3336, 5287, 5552, 5548, 5569],
-    [3372, 5317, 5560, 5556, 5570],
-    [3408, 5347, 5564, 5568, 5571],
-    [4160, 5391, 5421, 5572, 5573],
-    [3334, 5547, 5389, 5574, 5575],
-    [3332, 5551, 5451, 5576, 5577],
-    [3370, 5419, 5555, 5578, 5579],
-    [3368, 5482, 5559, 5580, 5581],
-    [4164, 5513, 5450, 5582, 5583],
-    [4168, 5543, 5481, 5584, 5585],
-    [3406, 5563, 5511, 5586, 5587],
-    [3404, 5567, 5541, 5588, 5589],
-    [5590, 5591, 5592, 5593, 5574, 5390, 3335, 4331],
-    [5594, 5595, 5596, 5597, 5578, 5420, 3371, 4334],
-    [5598, 5599, 5600, 5601, 5452, 5576, 4337, 3333],
-    [5602, 5603, 5604, 5605, 5483, 5580, 4340, 3369],
-    [5606, 5607, 5608, 5609, 5586, 5512, 3407, 4343],
-    [5610, 5611, 5612, 5613, 5588, 5542, 3405, 4346],
-    [3330, 5592, 5614, 5615, 5616],
-    [3329, 5601, 5617, 5618, 5619],
-    [3366, 5596, 5620, 5621, 5622],
-    [3365, 5605, 5623, 5624, 5625],
-    [3402, 5608, 5626, 5627, 5628],
-    [3401, 5612, 5629, 5630, 5631],
-    [5632, 5633, 5634, 5617, 5635, 5615, 4349, 3331],
-    [5636, 5637, 5638, 5624, 5639, 5621, 4352, 3367],
-    [5640, 5641, 5642, 5630, 5643, 5626, 4355, 3403],
-    [
-      5644, 5645, 5646, 5647, 5648, 5649, 5650, 5651, 5652, 5653, 5654, 5655,
-      5656, 5657, 5658, 5659, 5660, 5661, 5662, 5663, 5664, 5665, 5666, 5667,
-      5668, 5669, 5670, 5418, 5387, 5671, 5620, 5639, 5614, 5635, 5597, 5593,
-      5572, 4350, 4347, 4332, 4329, 4175, 4092, 4089, 3377, 3341, 4161, 4074,
-      4071, 3910, 3906, 3885, 3881, 2526, 3666, 3665, 3655, 3653, 2418, 2984,
-      2980, 2757,
-    ],
-    [
-      5672, 5673, 5674, 5675, 5676, 5677, 5678, 5679, 5680, 5681, 5682, 5683,
-      5684, 5685, 5686, 5687, 5688, 5689, 5690, 5691, 5692, 5693, 5694, 5695,
-      5696, 5697, 5670, 5510, 5448, 5698, 5627, 5643, 5618, 5634, 5609, 5600,
-      5582, 4354, 4348, 4342, 4336, 4174, 4093, 4088, 3413, 3340, 4165, 4079,
-      4075, 3914, 3905, 3897, 3889, 2525, 3673, 3669, 3661, 3657, 2453, 2996,
-      2988, 2760,
-    ],
-    [
-      5699, 5700, 5701, 5702, 5703, 5704, 5705, 5706, 5707, 5708, 5709, 5710,
-      5711, 5712, 5713, 5714, 5715, 5716, 5717, 5718, 5719, 5720, 5721, 5722,
-      5723, 5697, 5669, 5540, 5479, 5724, 5629, 5642, 5623, 5638, 5613, 5604,
-      5584, 4353, 4351, 4345, 4338, 4173, 4094, 4091, 3412, 3376, 4169, 4086,
-      4082, 3913, 3909, 3901, 3893, 2523, 3675, 3671, 3663, 3659, 2488, 3000,
-      2992, 2763,
-    ],
-    [4172, 5671, 5724, 5698, 5725],
-    [4466, 4419, 4383, 5726, 5727],
-    [4470, 4382, 4454, 5728, 5729],
-    [4474, 4418, 4453, 5730, 5731],
-    [4489, 4381, 4600, 5732, 5733],
-    [4493, 4417, 4632, 5734, 5735],
-    [4498, 4664, 4380, 5736, 5737],
-    [4502, 4416, 4695, 5738, 5739],
-    [4505, 4726, 4452, 5740, 5741],
-    [4509, 4758, 4451, 5742, 5743],
-    [4552, 4801, 4598, 5744, 5745],
-    [4556, 4800, 4630, 5746, 5747],
-    [4560, 4662, 4833, 5748, 5749],
-    [4564, 4724, 4832, 5750, 5751],
-    [4865, 4568, 4693, 5752, 5753],
-    [4572, 4864, 4756, 5754, 5755],
-    [4766, 4661, 4597, 5756, 5757],
-    [4692, 4770, 4629, 5758, 5759],
-    [4774, 4723, 4755, 5760, 5761],
-    [4898, 4595, 4962, 5762, 5763],
-    [4902, 4659, 5046, 5764, 5765],
-    [5015, 4906, 4627, 5766, 5767],
-    [4910, 5098, 4690, 5768, 5769],
-    [4721, 4914, 5129, 5770, 5771],
-    [4918, 4753, 5181, 5772, 5773],
-    [4972, 4797, 4961, 5774, 5775],
-    [4978, 4796, 5014, 5776, 5777],
-    [5066, 4829, 5045, 5778, 5779],
-    [5072, 4828, 5128, 5780, 5781],
-    [5138, 4861, 5097, 5782, 5783],
-    [5144, 4860, 5180, 5784, 5785],
-    [4981, 5284, 4960, 5786, 5787],
-    [4988, 5283, 5044, 5788, 5789],
-    [5054, 5314, 5013, 5790, 5791],
-    [5061, 5096, 5313, 5792, 5793],
-    [5147, 5344, 5127, 5794, 5795],
-    [5154, 5343, 5179, 5796, 5797],
-    [5200, 5386, 4959, 5798, 5799],
-    [5417, 5204, 5012, 5800, 5801],
-    [5208, 5043, 5447, 5802, 5803],
-    [5126, 5212, 5509, 5804, 5805],
-    [5216, 5478, 5095, 5806, 5807],
-    [5220, 5539, 5178, 5808, 5809],
-    [5350, 5415, 5384, 5810, 5811],
-    [5445, 5354, 5507, 5812, 5813],
-    [5358, 5476, 5537, 5814, 5815],
-    [5546, 5280, 5383, 5816, 5817],
-    [5279, 5550, 5444, 5818, 5819],
-    [5554, 5414, 5310, 5820, 5821],
-    [5558, 5475, 5309, 5822, 5823],
-    [5562, 5340, 5506, 5824, 5825],
-    [5566, 5339, 5536, 5826, 5827],
-    [5591, 5381, 5667, 5828, 5829],
-    [5595, 5412, 5666, 5830, 5831],
-    [5598, 5695, 5442, 5832, 5833],
-    [5602, 5473, 5722, 5834, 5835],
-    [5607, 5694, 5504, 5836, 5837],
-    [5611, 5534, 5721, 5838, 5839],
-    [5632, 5693, 5665, 5840, 5841],
-    [5636, 5720, 5664, 5842, 5843],
-    [5640, 5692, 5719, 5844, 5845],
-    [5846, 5847, 5848, 4455, 5849, 4420, 4384, 4359],
-    [5850, 5851, 5852, 4663, 5853, 4599, 4379, 4521],
-    [5854, 5855, 5856, 4694, 5857, 4631, 4415, 4524],
-    [5858, 5859, 5860, 4757, 5861, 4725, 4450, 4539],
-    [5862, 5863, 5864, 4963, 5865, 4799, 4596, 4874],
-    [5866, 5867, 5868, 5016, 5869, 4798, 4628, 4878],
-    [5870, 5871, 5872, 5047, 5873, 4831, 4660, 4884],
-    [5874, 5875, 5876, 5099, 5877, 4863, 4691, 4888],
-    [5878, 5879, 5880, 5130, 5881, 4830, 4722, 4890],
-    [5882, 5883, 5884, 5182, 5885, 4862, 4754, 4894],
-    [5886, 5887, 5888, 5385, 5889, 5282, 4958, 5229],
-    [5890, 5891, 5892, 5416, 5893, 5312, 5011, 5235],
-    [5894, 5895, 5896, 5446, 5897, 5281, 5042, 5238],
-    [5898, 5899, 5900, 5477, 5901, 5311, 5094, 5244],
-    [5902, 5903, 5904, 5508, 5905, 5342, 5125, 5253],
-    [5906, 5907, 5908, 5538, 5909, 5341, 5177, 5259],
-    [5910, 5911, 5912, 5668, 5913, 5413, 5382, 5573],
-    [5914, 5915, 5916, 5696, 5917, 5505, 5443, 5583],
-    [5918, 5919, 5920, 5723, 5921, 5535, 5474, 5585],
-    [5922, 5923, 5924, 5718, 5925, 5691, 5663, 5725],
-    [5849, 4378, 4414, 5926, 5927],
-    [4449, 4376, 5848, 5928, 5929],
-    [4447, 4412, 5847, 5930, 5931],
-    [4373, 4593, 5853, 5932, 5933],
-    [5852, 4371, 4657, 5934, 5935],
-    [4625, 4409, 5857, 5936, 5937],
-    [5856, 4688, 4407, 5938, 5939],
-    [4444, 4719, 5861, 5940, 5941],
-    [4442, 4751, 5860, 5942, 5943],
-    [5851, 4592, 4656, 5944, 5945],
-    [4624, 4687, 5855, 5946, 5947],
-    [5859, 4750, 4718, 5948, 5949],
-    [5865, 4589, 4794, 5950, 5951],
-    [4621, 4792, 5869, 5952, 5953],
-    [4826, 4653, 5873, 5954, 5955],
-    [5881, 4715, 4824, 5956, 5957],
-    [4684, 4858, 5877, 5958, 5959],
-    [5885, 4747, 4856, 5960, 5961],
-    [4957, 4588, 5864, 5962, 5963],
-    [4620, 5010, 5868, 5964, 5965],
-    [5041, 4652, 5872, 5966, 5967],
-    [4683, 5093, 5876, 5968, 5969],
-    [5124, 4714, 5880, 5970, 5971],
-    [5176, 4746, 5884, 5972, 5973],
-    [4955, 4791, 5863, 5974, 5975],
-    [5867, 5008, 4789, 5976, 5977],
-    [4823, 5039, 5871, 5978, 5979],
-    [5122, 4821, 5879, 5980, 5981],
-    [5875, 4855, 5091, 5982, 5983],
-    [5174, 4853, 5883, 5984, 5985],
-    [4952, 5277, 5889, 5986, 5987],
-    [5897, 5275, 5036, 5988, 5989],
-    [5005, 5307, 5893, 5990, 5991],
-    [5088, 5305, 5901, 5992, 5993],
-    [5905, 5119, 5337, 5994, 5995],
-    [5171, 5335, 5909, 5996, 5997],
-    [4950, 5379, 5888, 5998, 5999],
-    [5003, 5410, 5892, 6000, 6001],
-    [5440, 5034, 5896, 6002, 6003],
-    [5086, 5471, 5900, 6004, 6005],
-    [5502, 5117, 5904, 6006, 6007],
-    [5169, 5532, 5908, 6008, 6009],
-    [5887, 5378, 5274, 6010, 6011],
-    [5439, 5272, 5895, 6012, 6013],
-    [5891, 5409, 5304, 6014, 6015],
-    [5302, 5470, 5899, 6016, 6017],
-    [5501, 5334, 5903, 6018, 6019],
-    [5907, 5531, 5332, 6020, 6021],
-    [5913, 5375, 5406, 6022, 6023],
-    [5498, 5436, 5917, 6024, 6025],
-    [5921, 5528, 5467, 6026, 6027],
-    [5662, 5374, 5912, 6028, 6029],
-    [5660, 5405, 5911, 6030, 6031],
-    [5916, 5435, 5690, 6032, 6033],
-    [5497, 5688, 5915, 6034, 6035],
-    [5920, 5717, 5466, 6036, 6037],
-    [5527, 5715, 5919, 6038, 6039],
-    [5657, 5685, 5925, 6040, 6041],
-    [5655, 5712, 5924, 6042, 6043],
-    [5923, 5710, 5683, 6044, 6045],
-    [6046, 6047, 6048, 6049, 5926, 4413, 4377, 5727],
-    [6050, 6051, 6052, 6053, 5928, 4448, 4375, 5729],
-    [6054, 6055, 6056, 6057, 5930, 4446, 4411, 5731],
-    [6058, 6059, 6060, 6061, 5932, 4594, 4374, 5733],
-    [6062, 6063, 6064, 6065, 5936, 4626, 4410, 5735],
-    [6066, 6067, 6068, 6069, 5934, 4658, 4372, 5736],
-    [6070, 6071, 6072, 6073, 5938, 4689, 4408, 5739],
-    [6074, 6075, 6076, 6077, 5940, 4720, 4445, 5741],
-    [6078, 6079, 6080, 6081, 5942, 4752, 4443, 5743],
-    [6082, 6083, 6084, 6085, 5950, 4795, 4590, 5745],
-    [6086, 6087, 6088, 6089, 5952, 4793, 4622, 5747],
-    [6090, 6091, 6092, 6093, 5944, 4655, 4591, 5756],
-    [6094, 6095, 6096, 6097, 5946, 4686, 4623, 5758],
-    [6098, 6099, 6100, 6101, 5954, 4827, 4654, 5749],
-    [6102, 6103, 6104, 6105, 5956, 4825, 4716, 5751],
-    [6106, 6107, 6108, 6109, 5958, 4859, 4685, 5753],
-    [6110, 6111, 6112, 6113, 5960, 4857, 4748, 5754],
-    [6114, 6115, 6116, 6117, 5948, 4749, 4717, 5760],
-    [6118, 6119, 6120, 6121, 5962, 4956, 4587, 5763],
-    [6122, 6123, 6124, 6125, 5964, 5009, 4619, 5766],
-    [6126, 6127, 6128, 6129, 5966, 5040, 4651, 5765],
-    [6130, 6131, 6132, 6133, 5968, 5092, 4682, 5768],
-    [6134, 6135, 6136, 6137, 5970, 5123, 4713, 5771],
-    [6138, 6139, 6140, 6141, 5972, 5175, 4745, 5773],
-    [6142, 6143, 6144, 6145, 5974, 4954, 4790, 5775],
-    [6146, 6147, 6148, 6149, 5976, 5007, 4788, 5777],
-    [6150, 6151, 6152, 6153, 5978, 5038, 4822, 5778],
-    [6154, 6155, 6156, 6157, 5980, 5121, 4820, 5780],
-    [6158, 6159, 6160, 6161, 5982, 5090, 4854, 5783],
-    [6162, 6163, 6164, 6165, 5984, 5173, 4852, 5785],
-    [6166, 6167, 6168, 6169, 5986, 5278, 4953, 5787],
-    [6170, 6171, 6172, 6173, 5988, 5276, 5037, 5789],
-    [6174, 6175, 6176, 6177, 5990, 5308, 5006, 5790],
-    [6178, 6179, 6180, 6181, 5992, 5306, 5089, 5792],
-    [6182, 6183, 6184, 6185, 5994, 5338, 5120, 5795],
-    [6186, 6187, 6188, 6189, 5996, 5336, 5172, 5797],
-    [6190, 6191, 6192, 6193, 5998, 5380, 4951, 5799],
-    [6194, 6195, 6196, 6197, 6000, 5411, 5004, 5801],
-    [6198, 6199, 6200, 6201, 6002, 5441, 5035, 5802],
-    [6202, 6203, 6204, 6205, 6004, 5472, 5087, 5807],
-    [6206, 6207, 6208, 6209, 6006, 5503, 5118, 5804],
-    [6210, 6211, 6212, 6213, 6008, 5533, 5170, 5809],
-    [6214, 6215, 6216, 6217, 6022, 5407, 5376, 5810],
-    [6218, 6219, 6220, 6221, 6010, 5377, 5273, 5816],
-    [6222, 6223, 6224, 6225, 6012, 5438, 5271, 5819],
-    [6226, 6227, 6228, 6229, 6014, 5408, 5303, 5821],
-    [6230, 6231, 6232, 6233, 6016, 5469, 5301, 5823],
-    [6234, 6235, 6236, 6237, 6024, 5499, 5437, 5812],
-    [6238, 6239, 6240, 6241, 6026, 5529, 5468, 5814],
-    [6242, 6243, 6244, 6245, 6018, 5500, 5333, 5825],
-    [6246, 6247, 6248, 6249, 6020, 5530, 5331, 5827],
-    [6250, 6251, 6252, 6253, 6028, 5661, 5373, 5829],
-    [6254, 6255, 6256, 6257, 6030, 5659, 5404, 5831],
-    [6258, 6259, 6260, 6261, 6032, 5689, 5434, 5833],
-    [6262, 6263, 6264, 6265, 6036, 5716, 5465, 5834],
-    [6266, 6267, 6268, 6269, 6034, 5687, 5496, 5837],
-    [6270, 6271, 6272, 6273, 6038, 5714, 5526, 5839],
-    [6274, 6275, 6276, 6277, 6040, 5686, 5658, 5841],
-    [6278, 6279, 6280, 6281, 6042, 5713, 5656, 5843],
-    [6282, 6283, 6284, 6285, 6044, 5711, 5684, 5845],
-    [4368, 6048, 6286, 6287, 6288],
-    [4404, 6047, 6289, 6290, 6291],
-    [4367, 6052, 6292, 6293, 6294],
-    [4403, 6056, 6295, 6296, 6297],
-    [6051, 4439, 6298, 6299, 6300],
-    [4438, 6055, 6301, 6302, 6303],
-    [4365, 6060, 6304, 6305, 6306],
-    [4401, 6064, 6307, 6308, 6309],
-    [4363, 6068, 6310, 6311, 6312],
-    [4399, 6072, 6313, 6314, 6315],
-    [4436, 6076, 6316, 6317, 6318],
-    [4434, 6080, 6319, 6320, 6321],
-    [4584, 6059, 6322, 6323, 6324],
-    [6063, 4616, 6325, 6326, 6327],
-    [4648, 6067, 6328, 6329, 6330],
-    [4679, 6071, 6331, 6332, 6333],
-    [4710, 6075, 6334, 6335, 6336],
-    [4742, 6079, 6337, 6338, 6339],
-    [4583, 6084, 6340, 6341, 6342],
-    [6088, 4615, 6343, 6344, 6345],
-    [4645, 6100, 6346, 6347, 6348],
-    [6108, 4676, 6349, 6350, 6351],
-    [4709, 6104, 6352, 6353, 6354],
-    [4741, 6112, 6355, 6356, 6357],
-    [4785, 6083, 6358, 6359, 6360],
-    [4784, 6087, 6361, 6362, 6363],
-    [4581, 6092, 6364, 6365, 6366],
-    [4647, 6091, 6367, 6368, 6369],
-    [4613, 6096, 6370, 6371, 6372],
-    [4678, 6095, 6373, 6374, 6375],
-    [6099, 4817, 6376, 6377, 6378],
-    [6103, 4816, 6379, 6380, 6381],
-    [4849, 6107, 6382, 6383, 6384],
-    [4848, 6111, 6385, 6386, 6387],
-    [4707, 6116, 6388, 6389, 6390],
-    [4739, 6115, 6391, 6392, 6393],
-    [4579, 6120, 6394, 6395, 6396],
-    [4643, 6128, 6397, 6398, 6399],
-    [4611, 6124, 6400, 6401, 6402],
-    [4674, 6132, 6403, 6404, 6405],
-    [4705, 6136, 6406, 6407, 6408],
-    [4737, 6140, 6409, 6410, 6411],
-    [4782, 6144, 6412, 6413, 6414],
-    [6119, 4947, 6415, 6416, 6417],
-    [4780, 6148, 6418, 6419, 6420],
-    [5000, 6123, 6421, 6422, 6423],
-    [6127, 5031, 6424, 6425, 6426],
-    [4814, 6152, 6427, 6428, 6429],
-    [6131, 5083, 6430, 6431, 6432],
-    [6156, 4812, 6433, 6434, 6435],
-    [4846, 6160, 6436, 6437, 6438],
-    [6135, 5114, 6439, 6440, 6441],
-    [4844, 6164, 6442, 6443, 6444],
-    [6139, 5166, 6445, 6446, 6447],
-    [4946, 6143, 6448, 6449, 6450],
-    [4999, 6147, 6451, 6452, 6453],
-    [5030, 6151, 6454, 6455, 6456],
-    [5113, 6155, 6457, 6458, 6459],
-    [6159, 5082, 6460, 6461, 6462],
-    [5165, 6163, 6463, 6464, 6465],
-    [4944, 6168, 6466, 6467, 6468],
-    [6172, 5028, 6469, 6470, 6471],
-    [4997, 6176, 6472, 6473, 6474],
-    [5080, 6180, 6475, 6476, 6477],
-    [5111, 6184, 6478, 6479, 6480],
-    [5163, 6188, 6481, 6482, 6483],
-    [6192, 4942, 6484, 6485, 6486],
-    [5268, 6167, 6487, 6488, 6489],
-    [6196, 4995, 6490, 6491, 6492],
-    [5267, 6171, 6493, 6494, 6495],
-    [6175, 5298, 6496, 6497, 6498],
-    [6200, 5026, 6499, 6500, 6501],
-    [5297, 6179, 6502, 6503, 6504],
-    [6204, 5078, 6505, 6506, 6507],
-    [5109, 6208, 6508, 6509, 6510],
-    [5328, 6183, 6511, 6512, 6513],
-    [6212, 5161, 6514, 6515, 6516],
-    [5327, 6187, 6517, 6518, 6519],
-    [5370, 6191, 6520, 6521, 6522],
-    [5401, 6195, 6523, 6524, 6525],
-    [5431, 6199, 6526, 6527, 6528],
-    [5493, 6207, 6529, 6530, 6531],
-    [5462, 6203, 6532, 6533, 6534],
-    [5523, 6211, 6535, 6536, 6537],
-    [5369, 6216, 6538, 6539, 6540],
-    [5400, 6215, 6541, 6542, 6543],
-    [5265, 6220, 6544, 6545, 6546],
-    [5263, 6224, 6547, 6548, 6549],
-    [6228, 5295, 6550, 6551, 6552],
-    [6232, 5293, 6553, 6554, 6555],
-    [5428, 6236, 6556, 6557, 6558],
-    [5492, 6235, 6559, 6560, 6561],
-    [5459, 6240, 6562, 6563, 6564],
-    [5522, 6239, 6565, 6566, 6567],
-    [5325, 6244, 6568, 6569, 6570],
-    [5323, 6248, 6571, 6572, 6573],
-    [5367, 6219, 6574, 6575, 6576],
-    [5398, 6227, 6577, 6578, 6579],
-    [6223, 5430, 6580, 6581, 6582],
-    [5461, 6231, 6583, 6584, 6585],
-    [6243, 5490, 6586, 6587, 6588],
-    [5520, 6247, 6589, 6590, 6591],
-    [5365, 6252, 6592, 6593, 6594],
-    [5396, 6256, 6595, 6596, 6597],
-    [5426, 6260, 6598, 6599, 6600],
-    [5457, 6264, 6601, 6602, 6603],
-    [6268, 5488, 6604, 6605, 6606],
-    [5518, 6272, 6607, 6608, 6609],
-    [5652, 6251, 6610, 6611, 6612],
-    [5651, 6255, 6613, 6614, 6615],
-    [5680, 6259, 6616, 6617, 6618],
-    [5707, 6263, 6619, 6620, 6621],
-    [5679, 6267, 6622, 6623, 6624],
-    [5706, 6271, 6625, 6626, 6627],
-    [5649, 6276, 6628, 6629, 6630],
-    [6280, 5647, 6631, 6632, 6633],
-    [5677, 6275, 6634, 6635, 6636],
-    [5704, 6279, 6637, 6638, 6639],
-    [5675, 6284, 6640, 6641, 6642],
-    [5702, 6283, 6643, 6644, 6645],
-    [
-      6646, 6647, 6648, 6649, 6650, 6651, 6652, 6653, 6654, 6655, 6656, 6657,
-      6658, 6659, 6660, 6661, 6662, 6663, 6664, 6665, 6666, 6667, 6361, 6360,
-      6668, 6343, 6669, 6340, 6325, 6322, 6670, 6307, 6671, 6304, 6291, 6286,
-      6089, 6085, 6065, 6061, 6049, 4787, 4618, 4586, 4406, 4370, 5746, 5744,
-      5734, 5732, 5726, 4543, 4557, 4553, 4518, 4515, 4494, 4490, 4480, 4478,
-      4465, 3004,
-    ],
-    [
-      6672, 6673, 6674, 6675, 6676, 6677, 6678, 6679, 6680, 6681, 6682, 6683,
-      6684, 6685, 6686, 6687, 6688, 6689, 6690, 6691, 6692, 6693, 6379, 6376,
-      6694, 6352, 6695, 6346, 6334, 6330, 6696, 6316, 6697, 6310, 6298, 6292,
-      6105, 6101, 6077, 6069, 6053, 4819, 4712, 4650, 4441, 4369, 5750, 5748,
-      5740, 5737, 5728, 4547, 4565, 4561, 4530, 4527, 4506, 4497, 4484, 4482,
-      4469, 3040,
-    ],
-    [
-      6698, 6699, 6700, 6701, 6702, 6703, 6704, 6705, 6706, 6707, 6708, 6709,
-      6710, 6711, 6712, 6713, 6714, 6715, 6716, 6717, 6718, 6719, 6386, 6382,
-      6720, 6355, 6721, 6349, 6337, 6331, 6722, 6319, 6723, 6313, 6301, 6295,
-      6113, 6109, 6081, 6073, 6057, 4851, 4744, 4681, 4440, 4405, 5755, 5752,
-      5742, 5738, 5730, 4551, 4573, 4569, 4536, 4533, 4510, 4501, 4488, 4486,
-      4473, 3076,
-    ],
-    [
-      6724, 6725, 6726, 6727, 6728, 6729, 6730, 6731, 6732, 6733, 6734, 6735,
-      6736, 6737, 6738, 6739, 6740, 6741, 6742, 6743, 6744, 6745, 6493, 6487,
-      6746, 6469, 6747, 6466, 6424, 6415, 6748, 6397, 6749, 6394, 6369, 6364,
-      6173, 6169, 6129, 6121, 6093, 5270, 5033, 4949, 4649, 4585, 5788, 5786,
-      5764, 5762, 5757, 4987, 4989, 4982, 4926, 4923, 4901, 4897, 4880, 4876,
-      4765, 3112,
-    ],
-    [
-      6750, 6751, 6752, 6753, 6754, 6755, 6756, 6757, 6758, 6759, 6760, 6761,
-      6762, 6763, 6764, 6765, 6766, 6767, 6768, 6769, 6770, 6771, 6502, 6496,
-      6772, 6475, 6773, 6472, 6430, 6421, 6774, 6403, 6775, 6400, 6373, 6370,
-      6181, 6177, 6133, 6125, 6097, 5300, 5085, 5002, 4680, 4617, 5793, 5791,
-      5769, 5767, 5759, 5060, 5062, 5055, 4932, 4929, 4909, 4905, 4886, 4882,
-      4769, 3148,
-    ],
-    [
-      6776, 6777, 6778, 6779, 6780, 6781, 6782, 6783, 6784, 6785, 6786, 6787,
-      6788, 6789, 6790, 6791, 6792, 6793, 6794, 6795, 6796, 6797, 6517, 6511,
-      6798, 6481, 6799, 6478, 6445, 6439, 6800, 6409, 6801, 6406, 6391, 6389,
-      6189, 6185, 6141, 6137, 6117, 5330, 5168, 5116, 4743, 4711, 5796, 5794,
-      5772, 5770, 5761, 5153, 5155, 5148, 4938, 4935, 4917, 4913, 4896, 4892,
-      4773, 3184,
-    ],
-    [
-      6802, 6803, 6804, 6805, 6806, 6807, 6808, 6809, 6810, 6811, 6812, 6813,
-      6814, 6815, 6816, 6817, 6818, 6819, 6820, 6821, 6822, 6823, 6542, 6824,
-      6538, 6523, 6520, 6825, 6490, 6826, 6484, 6451, 6448, 6827, 6418, 6412,
-      6217, 6197, 6193, 6149, 6145, 5403, 5372, 5001, 4948, 4786, 5811, 5800,
-      5798, 5776, 5774, 5351, 5232, 5226, 5205, 5201, 5191, 5189, 4977, 4971,
-      4976, 3220,
-    ],
-    [
-      6828, 6829, 6830, 6831, 6832, 6833, 6834, 6835, 6836, 6837, 6838, 6839,
-      6840, 6841, 6842, 6843, 6844, 6845, 6846, 6847, 6848, 6849, 6559, 6850,
-      6556, 6529, 6526, 6851, 6508, 6852, 6499, 6457, 6454, 6853, 6433, 6427,
-      6237, 6209, 6201, 6157, 6153, 5495, 5433, 5115, 5032, 4818, 5813, 5805,
-      5803, 5781, 5779, 5355, 5247, 5241, 5213, 5209, 5195, 5193, 5071, 5065,
-      5070, 3256,
-    ],
-    [
-      6854, 6855, 6856, 6857, 6858, 6859, 6860, 6861, 6862, 6863, 6864, 6865,
-      6866, 6867, 6868, 6869, 6870, 6871, 6872, 6873, 6874, 6875, 6565, 6876,
-      6564, 6535, 6532, 6877, 6514, 6878, 6505, 6463, 6460, 6879, 6442, 6437,
-      6241, 6213, 6205, 6165, 6161, 5525, 5464, 5167, 5084, 4850, 5815, 5808,
-      5806, 5784, 5782, 5359, 5256, 5250, 5221, 5217, 5199, 5197, 5143, 5137,
-      5142, 3292,
-    ],
-    [
-      6880, 6881, 6882, 6883, 6884, 6885, 6886, 6887, 6888, 6889, 6890, 6891,
-      6892, 6893, 6894, 6895, 6896, 6897, 6898, 6899, 6900, 6901, 6634, 6902,
-      6628, 6616, 6610, 6903, 6598, 6904, 6592, 6580, 6574, 6905, 6547, 6545,
-      6277, 6261, 6253, 6225, 6221, 5682, 5654, 5432, 5371, 5269, 5840, 5832,
-      5828, 5818, 5817, 5633, 5619, 5616, 5599, 5590, 5577, 5575, 5549, 5545,
-      5569, 3328,
-    ],
-    [
-      6906, 6907, 6908, 6909, 6910, 6911, 6912, 6913, 6914, 6915, 6916, 6917,
-      6918, 6919, 6920, 6921, 6922, 6923, 6924, 6925, 6926, 6927, 6637, 6928,
-      6631, 6619, 6613, 6929, 6603, 6930, 6595, 6583, 6578, 6931, 6553, 6550,
-      6281, 6265, 6257, 6233, 6229, 5709, 5653, 5463, 5402, 5299, 5842, 5835,
-      5830, 5822, 5820, 5637, 5625, 5622, 5603, 5594, 5581, 5579, 5557, 5553,
-      5570, 3364,
-    ],
-    [
-      6932, 6933, 6934, 6935, 6936, 6937, 6938, 6939, 6940, 6941, 6942, 6943,
-      6944, 6945, 6946, 6947, 6948, 6949, 6950, 6951, 6952, 6953, 6643, 6954,
-      6642, 6625, 6622, 6955, 6607, 6956, 6604, 6589, 6586, 6957, 6573, 6568,
-      6285, 6273, 6269, 6249, 6245, 5708, 5681, 5524, 5494, 5329, 5844, 5838,
-      5836, 5826, 5824, 5641, 5631, 5628, 5610, 5606, 5589, 5587, 5565, 5561,
-      5571, 3400,
-    ],
-    [6958, 6959, 6960, 6961, 6671, 6306, 6287, 4364],
-    [6962, 6963, 6964, 6965, 6670, 6308, 6289, 4400],
-    [6966, 6967, 6968, 6969, 6697, 6311, 6294, 4362],
-    [6970, 6971, 6972, 6973, 6723, 6314, 6296, 4398],
-    [6974, 6975, 6976, 6977, 6696, 6317, 6300, 4435],
-    [6978, 6979, 6980, 6981, 6722, 6320, 6302, 4433],
-    [6982, 6983, 6984, 6985, 6669, 6341, 6324, 4582],
-    [6986, 6987, 6988, 6989, 6668, 6344, 6326, 4614],
-    [6990, 6991, 6992, 6993, 6695, 6347, 6328, 4644],
-    [6994, 6995, 6996, 6997, 6721, 6351, 6332, 4675],
-    [6998, 6999, 7000, 7001, 6694, 6353, 6335, 4708],
-    [7002, 7003, 7004, 7005, 6720, 6356, 6339, 4740],
-    [7006, 7007, 7008, 7009, 6667, 6362, 6358, 4783],
-    [7010, 7011, 7012, 7013, 6749, 6396, 6365, 4577],
-    [7014, 7015, 7016, 7017, 6748, 6398, 6367, 4642],
-    [7018, 7019, 7020, 7021, 6775, 6402, 6372, 4609],
-    [7022, 7023, 7024, 7025, 6774, 6404, 6375, 4673],
-    [7026, 7027, 7028, 7029, 6693, 6380, 6377, 4815],
-    [7030, 7031, 7032, 7033, 6719, 6385, 6383, 4847],
-    [7034, 7035, 7036, 7037, 6801, 6407, 6388, 4703],
-    [7038, 7039, 7040, 7041, 6800, 6411, 6392, 4735],
-    [7042, 7043, 7044, 7045, 6827, 6419, 6413, 4778],
-    [7046, 7047, 7048, 7049, 6853, 6435, 6428, 4810],
-    [7050, 7051, 7052, 7053, 6879, 6443, 6436, 4842],
-    [7054, 7055, 7056, 7057, 6747, 6467, 6417, 4943],
-    [7058, 7059, 7060, 7061, 6773, 6473, 6423, 4996],
-    [7062, 7063, 7064, 7065, 6746, 6470, 6425, 5027],
-    [7066, 7067, 7068, 7069, 6772, 6476, 6432, 5079],
-    [7070, 7071, 7072, 7073, 6799, 6479, 6441, 5110],
-    [7074, 7075, 7076, 7077, 6798, 6482, 6447, 5162],
-    [7078, 7079, 7080, 7081, 6826, 6486, 6449, 4941],
-    [7082, 7083, 7084, 7085, 6825, 6492, 6452, 4994],
-    [7086, 7087, 7088, 7089, 6852, 6501, 6455, 5025],
-    [7090, 7091, 7092, 7093, 6878, 6506, 6461, 5077],
-    [7094, 7095, 7096, 7097, 6851, 6510, 6458, 5108],
-    [7098, 7099, 7100, 7101, 6877, 6516, 6464, 5160],
-    [7102, 7103, 7104, 7105, 6745, 6494, 6488, 5266],
-    [7106, 7107, 7108, 7109, 6771, 6503, 6498, 5296],
-    [7110, 7111, 7112, 7113, 6797, 6518, 6512, 5326],
-    [7114, 7115, 7116, 7117, 6824, 6539, 6522, 5368],
-    [7118, 7119, 7120, 7121, 6823, 6541, 6524, 5399],
-    [7122, 7123, 7124, 7125, 6905, 6548, 6544, 5261],
-    [7126, 7127, 7128, 7129, 6931, 6554, 6551, 5291],
-    [7130, 7131, 7132, 7133, 6850, 6558, 6527, 5427],
-    [7134, 7135, 7136, 7137, 6849, 6561, 6531, 5491],
-    [7138, 7139, 7140, 7141, 6876, 6562, 6533, 5458],
-    [7142, 7143, 7144, 7145, 6875, 6566, 6537, 5521],
-    [7146, 7147, 7148, 7149, 6957, 6571, 6569, 5321],
-    [7150, 7151, 7152, 7153, 6904, 6594, 6575, 5363],
-    [7154, 7155, 7156, 7157, 6930, 6596, 6577, 5394],
-    [7158, 7159, 7160, 7161, 6903, 6599, 6582, 5425],
-    [7162, 7163, 7164, 7165, 6929, 6601, 6584, 5456],
-    [7166, 7167, 7168, 7169, 6956, 6605, 6587, 5486],
-    [7170, 7171, 7172, 7173, 6955, 6609, 6590, 5516],
-    [7174, 7175, 7176, 7177, 6902, 6629, 6611, 5648],
-    [7178, 7179, 7180, 7181, 6928, 6633, 6614, 5646],
-    [7182, 7183, 7184, 7185, 6901, 6635, 6617, 5676],
-    [7186, 7187, 7188, 7189, 6927, 6639, 6620, 5703],
-    [7190, 7191, 7192, 7193, 6954, 6640, 6623, 5674],
-    [7194, 7195, 7196, 7197, 6953, 6644, 6627, 5701],
-    [4360, 6969, 6961, 7198, 7199],
-    [4396, 6973, 6965, 7200, 7201],
-    [4431, 6977, 6981, 7202, 7203],
-    [4576, 7013, 6985, 7204, 7205],
-    [4608, 7021, 6989, 7206, 7207],
-    [4640, 6993, 7017, 7208, 7209],
-    [4671, 7025, 6997, 7210, 7211],
-    [4702, 7001, 7037, 7212, 7213],
-    [4734, 7005, 7041, 7214, 7215],
-    [4777, 7045, 7009, 7216, 7217],
-    [4809, 7049, 7029, 7218, 7219],
-    [4841, 7053, 7033, 7220, 7221],
-    [4939, 7057, 7081, 7222, 7223],
-    [4992, 7061, 7085, 7224, 7225],
-    [5023, 7089, 7065, 7226, 7227],
-    [5075, 7069, 7093, 7228, 7229],
-    [5106, 7097, 7073, 7230, 7231],
-    [5158, 7101, 7077, 7232, 7233],
-    [5260, 7105, 7125, 7234, 7235],
-    [5290, 7109, 7129, 7236, 7237],
-    [5320, 7113, 7149, 7238, 7239],
-    [5362, 7117, 7153, 7240, 7241],
-    [5393, 7157, 7121, 7242, 7243],
-    [5423, 7133, 7161, 7244, 7245],
-    [5454, 7141, 7165, 7246, 7247],
-    [5485, 7137, 7169, 7248, 7249],
-    [5515, 7145, 7173, 7250, 7251],
-    [5644, 7181, 7177, 7252, 7253],
-    [5672, 7185, 7193, 7254, 7255],
-    [5699, 7189, 7197, 7256, 7257],
-    [6958, 6665, 7258, 7259, 7260],
-    [6962, 6664, 7261, 7262, 7263],
-    [6966, 6691, 7264, 7265, 7266],
-    [6970, 6717, 7267, 7268, 7269],
-    [6974, 6690, 7270, 7271, 7272],
-    [6978, 6716, 7273, 7274, 7275],
-    [6982, 6661, 7276, 7277, 7278],
-    [6986, 6660, 7279, 7280, 7281],
-    [6687, 6990, 7282, 7283, 7284],
-    [6994, 6713, 7285, 7286, 7287],
-    [6998, 6686, 7288, 7289, 7290],
-    [7002, 6712, 7291, 7292, 7293],
-    [7006, 6657, 7294, 7295, 7296],
-    [7026, 6683, 7297, 7298, 7299],
-    [7030, 6709, 7300, 7301, 7302],
-    [7010, 6743, 7303, 7304, 7305],
-    [6742, 7014, 7306, 7307, 7308],
-    [7018, 6769, 7309, 7310, 7311],
-    [7022, 6768, 7312, 7313, 7314],
-    [7034, 6795, 7315, 7316, 7317],
-    [7038, 6794, 7318, 7319, 7320],
-    [7042, 6822, 7321, 7322, 7323],
-    [7046, 6848, 7324, 7325, 7326],
-    [7050, 6874, 7327, 7328, 7329],
-    [7054, 6739, 7330, 7331, 7332],
-    [7062, 6738, 7333, 7334, 7335],
-    [7058, 6765, 7336, 7337, 7338],
-    [7066, 6764, 7339, 7340, 7341],
-    [7070, 6791, 7342, 7343, 7344],
-    [7074, 6790, 7345, 7346, 7347],
-    [7078, 6819, 7348, 7349, 7350],
-    [7082, 6818, 7351, 7352, 7353],
-    [7086, 6845, 7354, 7355, 7356],
-    [7094, 6844, 7357, 7358, 7359],
-    [7090, 6871, 7360, 7361, 7362],
-    [7098, 6870, 7363, 7364, 7365],
-    [7102, 6735, 7366, 7367, 7368],
-    [7106, 6761, 7369, 7370, 7371],
-    [7110, 6787, 7372, 7373, 7374],
-    [7114, 6815, 7375, 7376, 7377],
-    [7118, 6814, 7378, 7379, 7380],
-    [7130, 6841, 7381, 7382, 7383],
-    [7134, 6840, 7384, 7385, 7386],
-    [6867, 7138, 7387, 7388, 7389],
-    [7142, 6866, 7390, 7391, 7392],
-    [7122, 6900, 7393, 7394, 7395],
-    [7126, 6926, 7396, 7397, 7398],
-    [7146, 6952, 7399, 7400, 7401],
-    [7150, 6897, 7402, 7403, 7404],
-    [7154, 6923, 7405, 7406, 7407],
-    [7158, 6896, 7408, 7409, 7410],
-    [6922, 7162, 7411, 7412, 7413],
-    [7166, 6949, 7414, 7415, 7416],
-    [7170, 6948, 7417, 7418, 7419],
-    [7174, 6893, 7420, 7421, 7422],
-    [7178, 6919, 7423, 7424, 7425],
-    [7182, 6892, 7426, 7427, 7428],
-    [7186, 6918, 7429, 7430, 7431],
-    [7190, 6945, 7432, 7433, 7434],
-    [7194, 6944, 7435, 7436, 7437],
-    [
-      7438, 7439, 7440, 7441, 7442, 7443, 7444, 7445, 7446, 7447, 7448, 7449,
-      7450, 7451, 7452, 7453, 7454, 7455, 7456, 7457, 7458, 7459, 7460, 7461,
-      7462, 7463, 7464, 7465, 7274, 7270, 7267, 7264, 7262, 7259, 6718, 6692,
-      6666, 7202, 6980, 6976, 7200, 6972, 6964, 7198, 6968, 6960, 6303, 6299,
-      6297, 6293, 6290, 6288, 4437, 6054, 6050, 4402, 4366, 6046, 5931, 5929,
-      5927, 5846,
-    ],
-    [
-      7466, 7467, 7468, 7469, 7470, 7471, 7472, 7473, 7474, 7475, 7476, 7477,
-      7478, 7479, 7480, 7481, 7482, 7483, 7484, 7485, 7486, 7487, 7488, 7489,
-      7490, 7491, 7492, 7462, 7306, 7304, 7282, 7276, 7265, 7258, 6744, 6689,
-      6663, 7208, 7016, 7205, 7012, 6992, 6984, 7199, 6967, 6959, 6368, 6366,
-      6329, 6323, 6312, 6305, 6090, 4646, 4580, 6066, 6058, 4361, 5945, 5935,
-      5933, 5850,
-    ],
-    [
-      7493, 7494, 7495, 7496, 7497, 7498, 7499, 7500, 7501, 7502, 7503, 7504,
-      7505, 7506, 7507, 7508, 7509, 7510, 7511, 7512, 7513, 7514, 7515, 7516,
-      7517, 7518, 7519, 7461, 7312, 7309, 7287, 7279, 7268, 7261, 6770, 6715,
-      6662, 7210, 7024, 7206, 7020, 6996, 6988, 7201, 6971, 6963, 6374, 6371,
-      6333, 6327, 6315, 6309, 6094, 4677, 4612, 6070, 6062, 4397, 5947, 5939,
-      5937, 5854,
-    ],
-    [
-      7520, 7521, 7522, 7523, 7524, 7525, 7526, 7527, 7528, 7529, 7530, 7531,
-      7532, 7533, 7534, 7535, 7536, 7537, 7538, 7539, 7540, 7541, 7542, 7543,
-      7544, 7545, 7546, 7454, 7319, 7316, 7291, 7288, 7273, 7271, 6796, 6714,
-      6688, 7214, 7040, 7212, 7036, 7004, 7000, 7203, 6979, 6975, 6393, 6390,
-      6338, 6336, 6321, 6318, 6114, 4738, 4706, 6078, 6074, 4432, 5949, 5943,
-      5941, 5858,
-    ],
-    [
-      7547, 7548, 7549, 7550, 7551, 7552, 7553, 7554, 7555, 7556, 7557, 7558,
-      7559, 7560, 7561, 7562, 7563, 7564, 7565, 7566, 7567, 7568, 7569, 7570,
-      7486, 7571, 7572, 7573, 7349, 7330, 7321, 7303, 7295, 7277, 6821, 6741,
-      6659, 7222, 7080, 7056, 7216, 7044, 7008, 7204, 7011, 6983, 6450, 6416,
-      6414, 6395, 6359, 6342, 4945, 6142, 6118, 4781, 4578, 6082, 5975, 5963,
-      5951, 5862,
-    ],
-    [
-      7574, 7575, 7576, 7577, 7578, 7579, 7580, 7581, 7582, 7583, 7584, 7585,
-      7586, 7587, 7588, 7589, 7590, 7591, 7592, 7593, 7594, 7595, 7596, 7570,
-      7513, 7597, 7598, 7599, 7353, 7336, 7322, 7310, 7294, 7280, 6820, 6767,
-      6658, 7224, 7084, 7060, 7217, 7043, 7007, 7207, 7019, 6987, 6453, 6422,
-      6420, 6401, 6363, 6345, 4998, 6146, 6122, 4779, 4610, 6086, 5977, 5965,
-      5953, 5866,
-    ],
-    [
-      7600, 7601, 7602, 7603, 7604, 7605, 7606, 7607, 7608, 7609, 7610, 7611,
-      7612, 7613, 7614, 7615, 7616, 7617, 7618, 7619, 7620, 7621, 7622, 7623,
-      7624, 7625, 7485, 7626, 7355, 7333, 7325, 7297, 7307, 7283, 6847, 6740,
-      6685, 7227, 7088, 7064, 7219, 7048, 7028, 7209, 7015, 6991, 6456, 6429,
-      6426, 6399, 6378, 6348, 5029, 6150, 4813, 6126, 4641, 6098, 5979, 5967,
-      5955, 5870,
-    ],
-    [
-      7627, 7628, 7629, 7630, 7631, 7632, 7633, 7634, 7635, 7636, 7637, 7638,
-      7639, 7640, 7641, 7642, 7643, 7644, 7645, 7646, 7647, 7648, 7649, 7650,
-      7651, 7652, 7512, 7653, 7362, 7339, 7328, 7300, 7313, 7285, 6873, 6766,
-      6711, 7228, 7092, 7068, 7221, 7052, 7032, 7211, 7023, 6995, 6462, 6438,
-      6431, 6405, 6384, 6350, 5081, 6158, 4845, 6130, 4672, 6106, 5983, 5969,
-      5959, 5874,
-    ],
-    [
-      7654, 7655, 7656, 7657, 7658, 7659, 7660, 7661, 7662, 7663, 7664, 7665,
-      7666, 7667, 7668, 7669, 7670, 7671, 7672, 7673, 7674, 7675, 7676, 7622,
-      7540, 7677, 7678, 7679, 7358, 7342, 7324, 7315, 7299, 7289, 6846, 6793,
-      6684, 7231, 7096, 7072, 7218, 7047, 7027, 7213, 7035, 6999, 6459, 6440,
-      6434, 6408, 6381, 6354, 5112, 6154, 6134, 4811, 4704, 6102, 5981, 5971,
-      5957, 5878,
-    ],
-    [
-      7680, 7681, 7682, 7683, 7684, 7685, 7686, 7687, 7688, 7689, 7690, 7691,
-      7692, 7693, 7694, 7695, 7696, 7697, 7698, 7699, 7700, 7701, 7702, 7649,
-      7539, 7703, 7704, 7705, 7364, 7345, 7327, 7318, 7301, 7292, 6872, 6792,
-      6710, 7233, 7100, 7076, 7220, 7051, 7031, 7215, 7039, 7003, 6465, 6446,
-      6444, 6410, 6387, 6357, 5164, 6162, 6138, 4843, 4736, 6110, 5985, 5973,
-      5961, 5882,
-    ],
-    [
-      7706, 7707, 7708, 7709, 7710, 7711, 7712, 7713, 7714, 7715, 7716, 7717,
-      7718, 7719, 7720, 7721, 7722, 7723, 7724, 7725, 7726, 7727, 7728, 7729,
-      7730, 7731, 7732, 7563, 7403, 7394, 7375, 7366, 7348, 7331, 6899, 6817,
-      6737, 7240, 7152, 7116, 7234, 7124, 7104, 7223, 7079, 7055, 6576, 6546,
-      6521, 6489, 6485, 6468, 6218, 5366, 5264, 6190, 6166, 4940, 6011, 5999,
-      5987, 5886,
-    ],
-    [
-      7733, 7734, 7735, 7736, 7737, 7738, 7739, 7740, 7741, 7742, 7743, 7744,
-      7745, 7746, 7747, 7748, 7749, 7750, 7751, 7752, 7753, 7754, 7755, 7756,
-      7757, 7758, 7759, 7590, 7406, 7398, 7378, 7369, 7351, 7337, 6925, 6816,
-      6763, 7243, 7156, 7120, 7236, 7128, 7108, 7225, 7083, 7059, 6579, 6552,
-      6525, 6497, 6491, 6474, 6226, 5397, 5294, 6194, 6174, 4993, 6015, 6001,
-      5991, 5890,
-    ],
-    [
-      7760, 7761, 7762, 7763, 7764, 7765, 7766, 7767, 7768, 7769, 7770, 7771,
-      7772, 7773, 7774, 7775, 7776, 7777, 7778, 7779, 7780, 7781, 7726, 7782,
-      7783, 7784, 7618, 7785, 7408, 7382, 7393, 7367, 7354, 7335, 6898, 6843,
-      6736, 7245, 7160, 7132, 7235, 7123, 7103, 7226, 7087, 7063, 6581, 6549,
-      6528, 6500, 6495, 6471, 5429, 6222, 5262, 6198, 5024, 6170, 6013, 6003,
-      5989, 5894,
-    ],
-    [
-      7786, 7787, 7788, 7789, 7790, 7791, 7792, 7793, 7794, 7795, 7796, 7797,
-      7798, 7799, 7800, 7801, 7802, 7803, 7804, 7805, 7806, 7807, 7753, 7808,
-      7809, 7810, 7645, 7811, 7412, 7388, 7396, 7371, 7360, 7341, 6924, 6869,
-      6762, 7247, 7164, 7140, 7237, 7127, 7107, 7229, 7091, 7067, 6585, 6555,
-      6534, 6507, 6504, 6477, 5460, 6230, 5292, 6202, 5076, 6178, 6017, 6005,
-      5993, 5898,
-    ],
-    [
-      7812, 7813, 7814, 7815, 7816, 7817, 7818, 7819, 7820, 7821, 7822, 7823,
-      7824, 7825, 7826, 7827, 7828, 7829, 7830, 7831, 7832, 7833, 7834, 7835,
-      7836, 7837, 7838, 7670, 7414, 7399, 7384, 7373, 7357, 7344, 6951, 6842,
-      6789, 7248, 7168, 7136, 7239, 7148, 7112, 7230, 7095, 7071, 6588, 6570,
-      6530, 6513, 6509, 6480, 6242, 5489, 5324, 6206, 6182, 5107, 6019, 6007,
-      5995, 5902,
-    ],
-    [
-      7839, 7840, 7841, 7842, 7843, 7844, 7845, 7846, 7847, 7848, 7849, 7850,
-      7851, 7852, 7853, 7854, 7855, 7856, 7857, 7858, 7832, 7859, 7860, 7861,
-      7862, 7863, 7864, 7696, 7418, 7400, 7390, 7372, 7363, 7346, 6950, 6868,
-      6788, 7250, 7172, 7144, 7238, 7147, 7111, 7232, 7099, 7075, 6591, 6572,
-      6536, 6519, 6515, 6483, 6246, 5519, 5322, 6210, 6186, 5159, 6021, 6009,
-      5997, 5906,
-    ],
-    [
-      7865, 7866, 7867, 7868, 7869, 7870, 7871, 7872, 7873, 7874, 7875, 7876,
-      7877, 7878, 7879, 7880, 7881, 7882, 7883, 7884, 7885, 7886, 7887, 7752,
-      7725, 7888, 7889, 7890, 7424, 7420, 7405, 7402, 7379, 7376, 6921, 6895,
-      6813, 7253, 7180, 7176, 7242, 7155, 7241, 7151, 7119, 7115, 6615, 6612,
-      6597, 6593, 6543, 6540, 5650, 6254, 6250, 5395, 5364, 6214, 6031, 6029,
-      6023, 5910,
-    ],
-    [
-      7891, 7892, 7893, 7894, 7895, 7896, 7897, 7898, 7899, 7900, 7901, 7902,
-      7903, 7904, 7905, 7906, 7907, 7908, 7909, 7910, 7911, 7912, 7913, 7831,
-      7778, 7914, 7915, 7916, 7432, 7427, 7415, 7410, 7385, 7381, 6947, 6894,
-      6839, 7255, 7192, 7184, 7249, 7167, 7244, 7159, 7135, 7131, 6624, 6618,
-      6606, 6600, 6560, 6557, 5678, 6266, 6258, 5487, 5424, 6234, 6035, 6033,
-      6025, 5914,
-    ],
-    [
-      7917, 7918, 7919, 7920, 7921, 7922, 7923, 7924, 7925, 7926, 7927, 7928,
-      7929, 7930, 7931, 7932, 7933, 7934, 7935, 7936, 7937, 7938, 7939, 7858,
-      7804, 7940, 7941, 7942, 7435, 7430, 7417, 7411, 7391, 7387, 6946, 6920,
-      6865, 7257, 7196, 7188, 7251, 7171, 7246, 7163, 7143, 7139, 6626, 6621,
-      6608, 6602, 6567, 6563, 5705, 6270, 6262, 5517, 5455, 6238, 6039, 6037,
-      6027, 5918,
-    ],
-    [
-      7943, 7944, 7945, 7946, 7947, 7948, 7949, 7950, 7951, 7952, 7953, 7954,
-      7955, 7956, 7957, 7958, 7959, 7960, 7961, 7933, 7907, 7962, 7963, 7964,
-      7965, 7966, 7967, 7881, 7436, 7433, 7429, 7426, 7423, 7421, 6943, 6917,
-      6891, 7256, 7195, 7187, 7254, 7191, 7183, 7252, 7179, 7175, 6645, 6641,
-      6638, 6636, 6632, 6630, 6282, 5700, 5673, 6278, 6274, 5645, 6045, 6043,
-      6041, 5922,
-    ],
-    [7968, 7969, 7970, 7492, 7971, 7465, 6656, 7260],
-    [7972, 7973, 7974, 7519, 7975, 7464, 6655, 7263],
-    [7976, 7977, 7978, 7491, 7979, 7460, 6682, 7266],
-    [7980, 7981, 7982, 7518, 7983, 7457, 6708, 7269],
-    [7984, 7985, 7986, 7546, 7987, 7459, 6681, 7272],
-    [7988, 7989, 7990, 7545, 7991, 7456, 6707, 7275],
-    [7992, 7993, 7994, 7573, 7995, 7490, 6653, 7278],
-    [7996, 7997, 7998, 7599, 7999, 7517, 6651, 7281],
-    [8000, 8001, 8002, 7626, 8003, 7488, 6679, 7284],
-    [8004, 8005, 8006, 7653, 8007, 7515, 6705, 7286],
-    [8008, 8009, 8010, 7679, 8011, 7544, 6677, 7290],
-    [8012, 8013, 8014, 7705, 8015, 7542, 6703, 7293],
-    [8016, 8017, 8018, 7598, 8019, 7572, 6649, 7296],
-    [8020, 8021, 8022, 7678, 8023, 7625, 6675, 7298],
-    [8024, 8025, 8026, 7704, 8027, 7652, 6701, 7302],
-    [8028, 8029, 8030, 7569, 8031, 7484, 6734, 7305],
-    [8032, 8033, 8034, 7623, 8035, 7483, 6733, 7308],
-    [8036, 8037, 8038, 7596, 8039, 7511, 6760, 7311],
-    [8040, 8041, 8042, 7650, 8043, 7510, 6759, 7314],
-    [8044, 8045, 8046, 7676, 8047, 7538, 6786, 7317],
-    [8048, 8049, 8050, 7702, 8051, 7537, 6785, 7320],
-    [8052, 8053, 8054, 7593, 8055, 7566, 6812, 7323],
-    [8056, 8057, 8058, 7732, 8059, 7568, 6731, 7332],
-    [8060, 8061, 8062, 7785, 8063, 7621, 6729, 7334],
-    [8064, 8065, 8066, 7759, 8067, 7595, 6757, 7338],
-    [8068, 8069, 8070, 7811, 8071, 7648, 6755, 7340],
-    [8072, 8073, 8074, 7673, 8075, 7619, 6838, 7326],
-    [8076, 8077, 8078, 7699, 8079, 7646, 6864, 7329],
-    [8080, 8081, 8082, 7838, 8083, 7675, 6783, 7343],
-    [8084, 8085, 8086, 7864, 8087, 7701, 6781, 7347],
-    [8088, 8089, 8090, 7729, 8091, 7565, 6811, 7350],
-    [8092, 8093, 8094, 7756, 8095, 7592, 6809, 7352],
-    [8096, 8097, 8098, 7784, 8099, 7731, 6727, 7368],
-    [8100, 8101, 8102, 7810, 8103, 7758, 6753, 7370],
-    [8104, 8105, 8106, 7782, 8107, 7617, 6837, 7356],
-    [8108, 8109, 8110, 7835, 8111, 7672, 6835, 7359],
-    [8112, 8113, 8114, 7808, 8115, 7644, 6863, 7361],
-    [8116, 8117, 8118, 7861, 8119, 7698, 6861, 7365],
-    [8120, 8121, 8122, 7863, 8123, 7837, 6779, 7374],
-    [8124, 8125, 8126, 7890, 8127, 7728, 6807, 7377],
-    [8128, 8129, 8130, 7889, 8131, 7755, 6805, 7380],
-    [8132, 8133, 8134, 7916, 8135, 7781, 6833, 7383],
-    [8136, 8137, 8138, 7915, 8139, 7834, 6831, 7386],
-    [8140, 8141, 8142, 7942, 8143, 7807, 6859, 7389],
-    [8144, 8145, 8146, 7941, 8147, 7860, 6857, 7392],
-    [8148, 8149, 8150, 7779, 8151, 7724, 6890, 7395],
-    [8152, 8153, 8154, 7805, 8155, 7751, 6916, 7397],
-    [8156, 8157, 8158, 7857, 8159, 7830, 6942, 7401],
-    [8160, 8161, 8162, 7887, 8163, 7723, 6889, 7404],
-    [8164, 8165, 8166, 7886, 8167, 7750, 6915, 7407],
-    [8168, 8169, 8170, 7913, 8171, 7777, 6887, 7409],
-    [8172, 8173, 8174, 7939, 8175, 7803, 6913, 7413],
-    [8176, 8177, 8178, 7912, 8179, 7829, 6941, 7416],
-    [8180, 8181, 8182, 7938, 8183, 7856, 6939, 7419],
-    [8184, 8185, 8186, 7967, 8187, 7885, 6885, 7422],
-    [8188, 8189, 8190, 7964, 8191, 7883, 6911, 7425],
-    [8192, 8193, 8194, 7966, 8195, 7911, 6883, 7428],
-    [8196, 8197, 8198, 7963, 8199, 7937, 6909, 7431],
-    [8200, 8201, 8202, 7961, 8203, 7909, 6937, 7434],
-    [8204, 8205, 8206, 7960, 8207, 7935, 6935, 7437],
-    [6654, 7463, 7975, 7971, 8208],
-    [6680, 7979, 7987, 7458, 8209],
-    [6706, 7455, 7983, 7991, 8210],
-    [6652, 7489, 7995, 7970, 8211],
-    [6650, 7516, 7999, 7974, 8212],
-    [6678, 7487, 8003, 7978, 8213],
-    [6704, 7514, 8007, 7982, 8214],
-    [6676, 7543, 8011, 7986, 8215],
-    [6702, 8015, 7990, 7541, 8216],
-    [6648, 7571, 8019, 7994, 8217],
-    [6647, 7597, 7998, 8018, 8218],
-    [6674, 7624, 8023, 8002, 8219],
-    [6673, 7677, 8022, 8010, 8220],
-    [6700, 7651, 8006, 8027, 8221],
-    [6699, 7703, 8026, 8014, 8222],
-    [6732, 7482, 8035, 8031, 8223],
-    [6758, 8043, 7509, 8039, 8224],
-    [6784, 7536, 8047, 8051, 8225],
-    [6730, 8030, 8059, 7567, 8226],
-    [6728, 7620, 8063, 8034, 8227],
-    [6756, 8067, 7594, 8038, 8228],
-    [6754, 7647, 8071, 8042, 8229],
-    [6782, 7674, 8083, 8046, 8230],
-    [6780, 8050, 8087, 7700, 8231],
-    [6810, 7564, 8055, 8091, 8232],
-    [6808, 7591, 8095, 8054, 8233],
-    [6726, 7730, 8099, 8058, 8234],
-    [6725, 7783, 8062, 8098, 8235],
-    [6752, 7757, 8103, 8066, 8236],
-    [7809, 6751, 8070, 8102, 8237],
-    [7616, 6836, 8075, 8107, 8238],
-    [6834, 7671, 8074, 8111, 8239],
-    [6862, 7643, 8115, 8079, 8240],
-    [6860, 7697, 8078, 8119, 8241],
-    [6778, 7836, 8082, 8123, 8242],
-    [6777, 7862, 8122, 8086, 8243],
-    [6806, 8127, 8090, 7727, 8244],
-    [6804, 7754, 8094, 8131, 8245],
-    [6832, 7780, 8106, 8135, 8246],
-    [6830, 8110, 7833, 8139, 8247],
-    [6858, 7806, 8114, 8143, 8248],
-    [6856, 8147, 8118, 7859, 8249],
-    [6803, 7888, 8130, 8126, 8250],
-    [6829, 8134, 7914, 8138, 8251],
-    [6855, 7940, 8142, 8146, 8252],
-    [6888, 7722, 8151, 8163, 8253],
-    [6886, 7776, 8171, 8150, 8254],
-    [6914, 7749, 8155, 8167, 8255],
-    [6912, 7802, 8154, 8175, 8256],
-    [6940, 7828, 8179, 8159, 8257],
-    [6938, 7855, 8158, 8183, 8258],
-    [6884, 8162, 8187, 7884, 8259],
-    [6910, 7882, 8166, 8191, 8260],
-    [6882, 7910, 8170, 8195, 8261],
-    [6908, 7936, 8174, 8199, 8262],
-    [6936, 7908, 8178, 8203, 8263],
-    [6934, 7934, 8182, 8207, 8264],
-    [6881, 7965, 8194, 8186, 8265],
-    [6907, 8198, 8190, 7962, 8266],
-    [6933, 7959, 8202, 8206, 8267],
-    [7453, 7969, 7481, 8268, 8269],
-    [7973, 7452, 7508, 8270, 8271],
-    [7480, 7977, 7451, 8272, 8273],
-    [7981, 7449, 7507, 8274, 8275],
-    [7535, 7985, 7447, 8276, 8277],
-    [7989, 7534, 7446, 8278, 8279],
-    [7562, 7993, 7478, 8280, 8281],
-    [7997, 7505, 7589, 8282, 8283],
-    [8001, 7477, 7615, 8284, 8285],
-    [8005, 7504, 7642, 8286, 8287],
-    [8009, 7532, 7669, 8288, 8289],
-    [8013, 7695, 7531, 8290, 8291],
-    [8017, 7561, 7588, 8292, 8293],
-    [7476, 8029, 7560, 8294, 8295],
-    [8033, 7474, 7614, 8296, 8297],
-    [7503, 7587, 8037, 8298, 8299],
-    [7501, 7641, 8041, 8300, 8301],
-    [8021, 7668, 7612, 8302, 8303],
-    [8025, 7694, 7639, 8304, 8305],
-    [8045, 7530, 7667, 8306, 8307],
-    [8049, 7528, 7693, 8308, 8309],
-    [8053, 7558, 7585, 8310, 8311],
-    [7665, 7611, 8073, 8312, 8313],
-    [8077, 7691, 7638, 8314, 8315],
-    [7721, 8057, 7556, 8316, 8317],
-    [7583, 7748, 8065, 8318, 8319],
-    [8061, 7775, 7609, 8320, 8321],
-    [7636, 7801, 8069, 8322, 8323],
-    [8081, 7827, 7663, 8324, 8325],
-    [7854, 8085, 7689, 8326, 8327],
-    [7555, 8089, 7720, 8328, 8329],
-    [8093, 7582, 7747, 8330, 8331],
-    [7774, 7608, 8105, 8332, 8333],
-    [8113, 7635, 7800, 8334, 8335],
-    [7826, 7662, 8109, 8336, 8337],
-    [7688, 8117, 7853, 8338, 8339],
-    [8097, 7718, 7772, 8340, 8341],
-    [7745, 7798, 8101, 8342, 8343],
-    [8121, 7851, 7824, 8344, 8345],
-    [8125, 7880, 7717, 8346, 8347],
-    [8129, 7879, 7744, 8348, 8349],
-    [8149, 7716, 7771, 8350, 8351],
-    [8153, 7743, 7797, 8352, 8353],
-    [7906, 7769, 8133, 8354, 8355],
-    [7823, 7905, 8137, 8356, 8357],
-    [8141, 7932, 7795, 8358, 8359],
-    [7931, 8145, 7850, 8360, 8361],
-    [8157, 7849, 7822, 8362, 8363],
-    [8161, 7714, 7878, 8364, 8365],
-    [8165, 7876, 7741, 8366, 8367],
-    [8169, 7904, 7768, 8368, 8369],
-    [8173, 7930, 7794, 8370, 8371],
-    [8177, 7820, 7902, 8372, 8373],
-    [7847, 8181, 7928, 8374, 8375],
-    [8185, 7874, 7958, 8376, 8377],
-    [7873, 8189, 7957, 8378, 8379],
-    [8193, 7955, 7900, 8380, 8381],
-    [7926, 8197, 7954, 8382, 8383],
-    [8201, 7953, 7899, 8384, 8385],
-    [7951, 8205, 7925, 8386, 8387],
-    [8388, 8389, 8390, 8391, 7479, 8272, 8268, 7450],
-    [8392, 8393, 8394, 8395, 7506, 8274, 8271, 7448],
-    [8396, 8397, 8398, 8399, 7533, 8278, 8276, 7445],
-    [8400, 8401, 8402, 8403, 8294, 7559, 7475, 8280],
-    [8404, 8405, 8406, 8407, 8298, 7586, 7502, 8283],
-    [8408, 8409, 8410, 8411, 7613, 8297, 8285, 7473],
-    [8412, 8413, 8414, 8415, 7640, 8300, 8287, 7500],
-    [8416, 8417, 8418, 8419, 8307, 7666, 7529, 8288],
-    [8420, 8421, 8422, 8423, 8308, 7692, 7527, 8290],
-    [8424, 8425, 8426, 8427, 8310, 7584, 7557, 8293],
-    [8428, 8429, 8430, 8431, 8312, 7664, 7610, 8303],
-    [8432, 8433, 8434, 8435, 8314, 7690, 7637, 8305],
-    [8436, 8437, 8438, 8439, 7719, 8328, 8316, 7554],
-    [8440, 8441, 8442, 8443, 7746, 8331, 8318, 7581],
-    [8444, 8445, 8446, 8447, 7773, 8332, 8321, 7607],
-    [8448, 8449, 8450, 8451, 7799, 8335, 8322, 7634],
-    [8452, 8453, 8454, 8455, 7825, 8336, 8325, 7661],
-    [8456, 8457, 8458, 8459, 7852, 8338, 8326, 7687],
-    [8460, 8461, 8462, 8463, 8351, 7770, 7715, 8340],
-    [8464, 8465, 8466, 8467, 8353, 7796, 7742, 8342],
-    [8468, 8469, 8470, 8471, 8363, 7848, 7821, 8344],
-    [8472, 8473, 8474, 8475, 8364, 7877, 7713, 8346],
-    [8476, 8477, 8478, 8479, 8366, 7875, 7740, 8349],
-    [8480, 8481, 8482, 8483, 7903, 8369, 8354, 7767],
-    [8484, 8485, 8486, 8487, 7929, 8371, 8359, 7793],
-    [8488, 8489, 8490, 8491, 8373, 7901, 7819, 8356],
-    [8492, 8493, 8494, 8495, 8374, 7927, 7846, 8360],
-    [8496, 8497, 8498, 8499, 7956, 8378, 8376, 7872],
-    [8500, 8501, 8502, 8503, 7952, 8385, 8380, 7898],
-    [8504, 8505, 8506, 8507, 7950, 8386, 8382, 7924],
-    [7442, 8391, 8508, 8509, 8510],
-    [7440, 8395, 8511, 8512, 8513],
-    [7439, 8399, 8514, 8515, 8516],
-    [7470, 8388, 8517, 8518, 8519],
-    [7497, 8392, 8520, 8521, 8522],
-    [7524, 8396, 8523, 8524, 8525],
-    [7468, 8402, 8526, 8527, 8528],
-    [7467, 8411, 8529, 8530, 8531],
-    [7495, 8406, 8532, 8533, 8534],
-    [7494, 8415, 8535, 8536, 8537],
-    [7522, 8418, 8538, 8539, 8540],
-    [7521, 8422, 8541, 8542, 8543],
-    [7551, 8401, 8544, 8545, 8546],
-    [7578, 8405, 8547, 8548, 8549],
-    [8408, 7604, 8550, 8551, 8552],
-    [8412, 7631, 8553, 8554, 8555],
-    [8417, 7658, 8556, 8557, 8558],
-    [7684, 8421, 8559, 8560, 8561],
-    [7549, 8426, 8562, 8563, 8564],
-    [7576, 8425, 8565, 8566, 8567],
-    [8430, 7602, 8568, 8569, 8570],
-    [7656, 8429, 8571, 8572, 8573],
-    [8434, 7629, 8574, 8575, 8576],
-    [7682, 8433, 8577, 8578, 8579],
-    [7548, 8439, 8580, 8581, 8582],
-    [7575, 8443, 8583, 8584, 8585],
-    [8447, 7601, 8586, 8587, 8588],
-    [7628, 8451, 8589, 8590, 8591],
-    [8455, 7655, 8592, 8593, 8594],
-    [7681, 8459, 8595, 8596, 8597],
-    [7710, 8436, 8598, 8599, 8600],
-    [8440, 7737, 8601, 8602, 8603],
-    [7764, 8444, 8604, 8605, 8606],
-    [8448, 7790, 8607, 8608, 8609],
-    [7816, 8452, 8610, 8611, 8612],
-    [7843, 8456, 8613, 8614, 8615],
-    [7708, 8462, 8616, 8617, 8618],
-    [8461, 7762, 8619, 8620, 8621],
-    [7735, 8466, 8622, 8623, 8624],
-    [8465, 7788, 8625, 8626, 8627],
-    [7814, 8470, 8628, 8629, 8630],
-    [7841, 8469, 8631, 8632, 8633],
-    [7707, 8474, 8634, 8635, 8636],
-    [8478, 7734, 8637, 8638, 8639],
-    [8483, 7761, 8640, 8641, 8642],
-    [8487, 7787, 8643, 8644, 8645],
-    [7813, 8490, 8646, 8647, 8648],
-    [7840, 8494, 8649, 8650, 8651],
-    [7869, 8473, 8652, 8653, 8654],
-    [7867, 8477, 8655, 8656, 8657],
-    [7895, 8480, 8658, 8659, 8660],
-    [7893, 8489, 8661, 8662, 8663],
-    [7921, 8484, 8664, 8665, 8666],
-    [7919, 8493, 8667, 8668, 8669],
-    [7866, 8499, 8670, 8671, 8672],
-    [7892, 8503, 8673, 8674, 8675],
-    [7918, 8507, 8676, 8677, 8678],
-    [7947, 8496, 8679, 8680, 8681],
-    [7945, 8500, 8682, 8683, 8684],
-    [7944, 8504, 8685, 8686, 8687],
-    [8688, 8689, 8690, 8516, 8691, 8511, 8509, 7438],
-    [8692, 8693, 8694, 8529, 8695, 8528, 8519, 7466],
-    [8696, 8697, 8698, 8536, 8699, 8533, 8520, 7493],
-    [8700, 8701, 8702, 8542, 8703, 8538, 8525, 7520],
-    [8704, 8705, 8706, 8582, 8707, 8562, 8546, 7547],
-    [8708, 8709, 8710, 8584, 8711, 8565, 8548, 7574],
-    [8712, 8713, 8714, 8587, 8715, 8569, 8552, 7600],
-    [8716, 8717, 8718, 8589, 8719, 8575, 8554, 7627],
-    [8720, 8721, 8722, 8593, 8723, 8571, 8557, 7654],
-    [8724, 8725, 8726, 8597, 8727, 8577, 8560, 7680],
-    [8728, 8729, 8730, 8635, 8731, 8616, 8600, 7706],
-    [8732, 8733, 8734, 8638, 8735, 8622, 8602, 7733],
-    [8736, 8737, 8738, 8641, 8739, 8620, 8604, 7760],
-    [8740, 8741, 8742, 8645, 8743, 8626, 8608, 7786],
-    [8744, 8745, 8746, 8647, 8747, 8628, 8611, 7812],
-    [8748, 8749, 8750, 8650, 8751, 8631, 8615, 7839],
-    [8752, 8753, 8754, 8672, 8755, 8655, 8653, 7865],
-    [8756, 8757, 8758, 8673, 8759, 8662, 8659, 7891],
-    [8760, 8761, 8762, 8678, 8763, 8669, 8664, 7917],
-    [8764, 8765, 8766, 8687, 8767, 8682, 8681, 7943],
-    [
-      8768, 8769, 8770, 8771, 8772, 8773, 8774, 8775, 8776, 8777, 8778, 8779,
-      8780, 8781, 8782, 8783, 8784, 8785, 8786, 8787, 8788, 8711, 8566, 8707,
-      8564, 8547, 8545, 8699, 8532, 8695, 8526, 8521, 8517, 8691, 8513, 8510,
-      8427, 8407, 8403, 8394, 8390, 7580, 7553, 7499, 7472, 7444, 8292, 8282,
-      8281, 8270, 8269, 8016, 8218, 8217, 7996, 7992, 8212, 8211, 7972, 7968,
-      8208, 6646,
-    ],
-    [
-      8789, 8790, 8791, 8792, 8793, 8794, 8795, 8796, 8797, 8798, 8799, 8800,
-      8801, 8802, 8803, 8804, 8805, 8806, 8807, 8787, 8808, 8723, 8572, 8715,
-      8568, 8558, 8550, 8703, 8539, 8694, 8530, 8524, 8518, 8690, 8514, 8508,
-      8431, 8419, 8410, 8398, 8389, 7660, 7606, 7526, 7471, 7443, 8302, 8289,
-      8284, 8277, 8273, 8020, 8220, 8219, 8008, 8000, 8215, 8213, 7984, 7976,
-      8209, 6672,
-    ],
-    [
-      8809, 8810, 8811, 8812, 8813, 8814, 8815, 8816, 8817, 8818, 8819, 8820,
-      8821, 8822, 8823, 8824, 8825, 8826, 8807, 8786, 8827, 8727, 8579, 8719,
-      8574, 8561, 8553, 8702, 8541, 8698, 8535, 8523, 8522, 8689, 8515, 8512,
-      8435, 8423, 8414, 8397, 8393, 7686, 7633, 7525, 7498, 7441, 8304, 8291,
-      8286, 8279, 8275, 8024, 8222, 8221, 8012, 8004, 8216, 8214, 7988, 7980,
-      8210, 6698,
-    ],
-    [
-      8828, 8829, 8830, 8831, 8832, 8833, 8834, 8835, 8836, 8837, 8838, 8839,
-      8840, 8841, 8842, 8843, 8844, 8845, 8804, 8783, 8846, 8739, 8621, 8731,
-      8617, 8605, 8599, 8714, 8586, 8706, 8580, 8551, 8544, 8693, 8531, 8527,
-      8463, 8446, 8438, 8409, 8400, 7766, 7712, 7605, 7552, 7469, 8341, 8320,
-      8317, 8296, 8295, 8096, 8235, 8234, 8060, 8056, 8227, 8226, 8032, 8028,
-      8223, 6724,
-    ],
-    [
-      8847, 8848, 8849, 8850, 8851, 8852, 8853, 8854, 8855, 8856, 8857, 8858,
-      8859, 8860, 8861, 8862, 8863, 8864, 8824, 8782, 8865, 8743, 8627, 8735,
-      8624, 8609, 8603, 8718, 8591, 8710, 8585, 8555, 8549, 8697, 8537, 8534,
-      8467, 8450, 8442, 8413, 8404, 7792, 7739, 7632, 7579, 7496, 8343, 8323,
-      8319, 8301, 8299, 8100, 8237, 8236, 8068, 8064, 8229, 8228, 8040, 8036,
-      8224, 6750,
-    ],
-    [
-      8866, 8867, 8868, 8869, 8870, 8871, 8872, 8873, 8874, 8875, 8876, 8877,
-      8878, 8879, 8880, 8881, 8882, 8883, 8823, 8803, 8884, 8751, 8632, 8747,
-      8630, 8614, 8610, 8726, 8595, 8722, 8592, 8559, 8556, 8701, 8543, 8540,
-      8471, 8458, 8454, 8420, 8416, 7845, 7818, 7685, 7659, 7523, 8345, 8327,
-      8324, 8309, 8306, 8120, 8243, 8242, 8084, 8080, 8231, 8230, 8048, 8044,
-      8225, 6776,
-    ],
-    [
-      8885, 8886, 8887, 8888, 8889, 8890, 8891, 8892, 8893, 8894, 8895, 8896,
-      8897, 8898, 8899, 8900, 8862, 8843, 8901, 8902, 8779, 8755, 8657, 8654,
-      8734, 8637, 8730, 8634, 8601, 8598, 8709, 8583, 8705, 8581, 8567, 8563,
-      8479, 8475, 8441, 8437, 8424, 7871, 7738, 7711, 7577, 7550, 8348, 8347,
-      8330, 8329, 8311, 8250, 8128, 8124, 8245, 8244, 8092, 8088, 8233, 8232,
-      8052, 6802,
-    ],
-    [
-      8903, 8904, 8905, 8906, 8907, 8908, 8909, 8910, 8911, 8912, 8913, 8914,
-      8915, 8916, 8917, 8918, 8881, 8842, 8919, 8920, 8800, 8759, 8663, 8660,
-      8746, 8648, 8738, 8642, 8612, 8606, 8721, 8594, 8713, 8588, 8573, 8570,
-      8491, 8482, 8453, 8445, 8428, 7897, 7817, 7765, 7657, 7603, 8357, 8355,
-      8337, 8333, 8313, 8251, 8136, 8132, 8247, 8246, 8108, 8104, 8239, 8238,
-      8072, 6828,
-    ],
-    [
-      8921, 8922, 8923, 8924, 8925, 8926, 8927, 8928, 8929, 8930, 8931, 8932,
-      8933, 8934, 8935, 8936, 8880, 8861, 8937, 8938, 8820, 8763, 8668, 8665,
-      8750, 8649, 8742, 8643, 8613, 8607, 8725, 8596, 8717, 8590, 8578, 8576,
-      8495, 8486, 8457, 8449, 8432, 7923, 7844, 7791, 7683, 7630, 8361, 8358,
-      8339, 8334, 8315, 8252, 8144, 8140, 8249, 8248, 8116, 8112, 8241, 8240,
-      8076, 6854,
-    ],
-    [
-      8939, 8940, 8941, 8942, 8943, 8944, 8945, 8946, 8947, 8948, 8949, 8950,
-      8951, 8952, 8953, 8954, 8916, 8898, 8955, 8956, 8839, 8767, 8683, 8680,
-      8758, 8675, 8754, 8670, 8658, 8652, 8737, 8640, 8729, 8636, 8619, 8618,
-      8502, 8498, 8481, 8472, 8460, 7949, 7896, 7870, 7763, 7709, 8381, 8377,
-      8368, 8365, 8350, 8265, 8192, 8184, 8261, 8259, 8168, 8160, 8254, 8253,
-      8148, 6880,
-    ],
-    [
-      8957, 8958, 8959, 8960, 8961, 8962, 8963, 8964, 8965, 8966, 8967, 8968,
-      8969, 8952, 8970, 8971, 8934, 8897, 8972, 8973, 8858, 8766, 8685, 8679,
-      8762, 8677, 8753, 8671, 8666, 8656, 8741, 8644, 8733, 8639, 8625, 8623,
-      8506, 8497, 8485, 8476, 8464, 7948, 7922, 7868, 7789, 7736, 8383, 8379,
-      8370, 8367, 8352, 8266, 8196, 8188, 8262, 8260, 8172, 8164, 8256, 8255,
-      8152, 6906,
-    ],
-    [
-      8974, 8975, 8976, 8977, 8978, 8979, 8980, 8981, 8982, 8983, 8984, 8985,
-      8969, 8951, 8986, 8987, 8933, 8915, 8988, 8989, 8877, 8765, 8686, 8684,
-      8761, 8676, 8757, 8674, 8667, 8661, 8749, 8651, 8745, 8646, 8633, 8629,
-      8505, 8501, 8492, 8488, 8468, 7946, 7920, 7894, 7842, 7815, 8387, 8384,
-      8375, 8372, 8362, 8267, 8204, 8200, 8264, 8263, 8180, 8176, 8258, 8257,
-      8156, 6932,
-    ],
-    [8688, 8788, 8827, 8808, 8990],
-    [8692, 8806, 8846, 8785, 8991],
-    [8696, 8826, 8784, 8865, 8992],
-    [8700, 8884, 8805, 8825, 8993],
-    [8704, 8781, 8902, 8845, 8994],
-    [8708, 8901, 8780, 8864, 8995],
-    [8712, 8802, 8844, 8920, 8996],
-    [8716, 8938, 8822, 8863, 8997],
-    [8720, 8801, 8883, 8919, 8998],
-    [8724, 8821, 8937, 8882, 8999],
-    [8728, 8956, 8841, 8900, 9000],
-    [8732, 8973, 8899, 8860, 9001],
-    [8736, 8840, 8955, 8918, 9002],
-    [8740, 8936, 8972, 8859, 9003],
-    [8744, 8879, 8989, 8917, 9004],
-    [8748, 8988, 8878, 8935, 9005],
-    [8752, 8896, 8971, 8954, 9006],
-    [8756, 8953, 8987, 8914, 9007],
-    [8760, 8932, 8970, 8986, 9008],
-    [8764, 8985, 8950, 8968, 9009],
-    [9010, 9011, 9012, 8819, 9013, 8799, 8778, 8990],
-    [9014, 9015, 9016, 8838, 9017, 8798, 8777, 8991],
-    [9018, 9019, 9020, 8857, 9021, 8818, 8775, 8992],
-    [9022, 9023, 9024, 8876, 9025, 8816, 8796, 8993],
-    [9026, 9027, 9028, 8895, 9029, 8837, 8773, 8994],
-    [9030, 9031, 9032, 8894, 9033, 8856, 8771, 8995],
-    [9034, 9035, 9036, 8913, 9037, 8835, 8794, 8996],
-    [9038, 9039, 9040, 8931, 9041, 8854, 8814, 8997],
-    [9042, 9043, 9044, 8912, 9045, 8875, 8792, 8998],
-    [9046, 9047, 9048, 8930, 9049, 8873, 8812, 8999],
-    [9050, 9051, 9052, 8949, 9053, 8892, 8833, 9000],
-    [9054, 9055, 9056, 8967, 9057, 8890, 8852, 9001],
-    [9058, 9059, 9060, 8948, 9061, 8910, 8831, 9002],
-    [9062, 9063, 9064, 8966, 9065, 8928, 8850, 9003],
-    [9066, 9067, 9068, 8984, 9069, 8908, 8871, 9004],
-    [9070, 9071, 9072, 8983, 9073, 8926, 8869, 9005],
-    [9074, 9075, 9076, 8964, 9077, 8946, 8888, 9006],
-    [9078, 9079, 9080, 8981, 9081, 8944, 8906, 9007],
-    [9082, 9083, 9084, 8979, 9085, 8962, 8924, 9008],
-    [9086, 9087, 9088, 8977, 9089, 8960, 8942, 9009],
-    [8776, 8797, 9017, 9013, 9090],
-    [8774, 8817, 9021, 9012, 9091],
-    [8815, 8795, 9025, 9011, 9092],
-    [8772, 8836, 9016, 9029, 9093],
-    [9020, 9033, 8770, 8855, 9094],
-    [8793, 8834, 9037, 9015, 9095],
-    [8813, 9041, 9019, 8853, 9096],
-    [8874, 8791, 9045, 9024, 9097],
-    [8811, 8872, 9023, 9049, 9098],
-    [8769, 8893, 9032, 9028, 9099],
-    [8790, 9036, 9044, 8911, 9100],
-    [8810, 8929, 9040, 9048, 9101],
-    [8891, 8832, 9053, 9027, 9102],
-    [8889, 9057, 9031, 8851, 9103],
-    [8830, 9035, 9061, 8909, 9104],
-    [8927, 9065, 9039, 8849, 9105],
-    [8870, 9043, 9069, 8907, 9106],
-    [8868, 8925, 9047, 9073, 9107],
-    [8947, 8829, 9060, 9052, 9108],
-    [8965, 9064, 9056, 8848, 9109],
-    [8982, 8867, 9068, 9072, 9110],
-    [8887, 8945, 9051, 9077, 9111],
-    [8886, 8963, 9055, 9076, 9112],
-    [8943, 9059, 9081, 8905, 9113],
-    [8923, 8961, 9063, 9085, 9114],
-    [9067, 9080, 8980, 8904, 9115],
-    [8978, 8922, 9084, 9071, 9116],
-    [8941, 8959, 9075, 9089, 9117],
-    [8976, 8940, 9079, 9088, 9118],
-    [8975, 8958, 9083, 9087, 9119],
-    [
-      9086, 9119, 9118, 8974, 9117, 8957, 8939, 9082, 9116, 9078, 9115, 9114,
-      9113, 9074, 9112, 9111, 9110, 9070, 9066, 8921, 8903, 9109, 9062, 9054,
-      9108, 9058, 9050, 8885, 9107, 9106, 9105, 9104, 9103, 9102, 8866, 8847,
-      8828, 9101, 9046, 9038, 9100, 9042, 9034, 9099, 9030, 9026, 9098, 9097,
-      9096, 9095, 9094, 9093, 9022, 8809, 8789, 9018, 9014, 8768, 9092, 9091,
-      9090, 9010,
-    ],
-  ],
-}
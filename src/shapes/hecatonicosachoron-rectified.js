@@ -1,8226 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.11026408970826793, -0.03329651840862409,
-      0.02579137225665796,
-    ],
-    [
-      -0.30901699437494745, -0.11026408970826793, -0.00568772436841493,
-      -0.041731316927773654,
-    ],
-    [
-      -0.30901699437494745, -0.11026408970826793, 0.03898424277703902,
-      0.015939944671115695,
-    ],
-    [
-      -0.30901699437494745, -0.06814695517827704, -0.09285914126922937,
-      0.02579137225665796,
-    ],
-    [
-      -0.30901699437494745, -0.06814695517827704, -0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.06814695517827704, -0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.06814695517827704, 0.024093587061887703,
-      -0.09331406144108957,
-    ],
-    [
-      -0.30901699437494745, -0.06814695517827704, 0.06876555420734165,
-      0.0675226891844316,
-    ],
-    [-0.30901699437494745, -0.06814695517827704, 0.09637434824755081, 0.0],
-    [
-      -0.30901699437494745, -0.04211713452999087, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [-0.30901699437494745, 0.0, -0.11695272833111708, 0.015939944671115695],
-    [-0.30901699437494745, 0.0, -0.07228076118566312, -0.09331406144108957],
-    [-0.30901699437494745, 0.0, -0.04467196714545396, 0.10925400611220526],
-    [-0.30901699437494745, 0.0, 0.04467196714545396, -0.10925400611220526],
-    [-0.30901699437494745, 0.0, 0.07228076118566312, 0.09331406144108957],
-    [-0.30901699437494745, 0.0, 0.11695272833111708, -0.015939944671115695],
-    [
-      -0.30901699437494745, 0.04211713452999087, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [-0.30901699437494745, 0.06814695517827704, -0.09637434824755081, 0.0],
-    [
-      -0.30901699437494745, 0.06814695517827704, -0.06876555420734165,
-      -0.0675226891844316,
-    ],
-    [
-      -0.30901699437494745, 0.06814695517827704, -0.024093587061887703,
-      0.09331406144108957,
-    ],
-    [
-      -0.30901699437494745, 0.06814695517827704, 0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.06814695517827704, 0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.06814695517827704, 0.09285914126922937,
-      -0.02579137225665796,
-    ],
-    [
-      -0.30901699437494745, 0.11026408970826793, -0.03898424277703902,
-      -0.015939944671115695,
-    ],
-    [
-      -0.30901699437494745, 0.11026408970826793, 0.00568772436841493,
-      0.041731316927773654,
-    ],
-    [
-      -0.30901699437494745, 0.11026408970826793, 0.03329651840862409,
-      -0.02579137225665796,
-    ],
-    [-0.2864745084375788, -0.16539613456240188, 0.0, 0.0],
-    [
-      -0.2864745084375788, -0.12327900003241102, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.2864745084375788, -0.12327900003241102, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.2864745084375788, -0.12327900003241102, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [-0.2864745084375788, -0.05513204485413396, -0.15593697110815607, 0.0],
-    [
-      -0.2864745084375788, -0.05513204485413396, -0.11126500396270214,
-      -0.10925400611220526,
-    ],
-    [
-      -0.2864745084375788, -0.05513204485413396, -0.03898424277703902,
-      0.1509853230399789,
-    ],
-    [
-      -0.2864745084375788, -0.05513204485413396, 0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2864745084375788, -0.05513204485413396, 0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      -0.2864745084375788, -0.05513204485413396, 0.15024924673974116,
-      -0.041731316927773654,
-    ],
-    [
-      -0.2864745084375788, 0.05513204485413396, -0.15024924673974116,
-      0.041731316927773654,
-    ],
-    [
-      -0.2864745084375788, 0.05513204485413396, -0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2864745084375788, 0.05513204485413396, -0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      -0.2864745084375788, 0.05513204485413396, 0.03898424277703902,
-      -0.1509853230399789,
-    ],
-    [
-      -0.2864745084375788, 0.05513204485413396, 0.11126500396270214,
-      0.10925400611220526,
-    ],
-    [-0.2864745084375788, 0.05513204485413396, 0.15593697110815607, 0.0],
-    [
-      -0.2864745084375788, 0.12327900003241102, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.2864745084375788, 0.12327900003241102, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.2864745084375788, 0.12327900003241102, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [-0.2864745084375788, 0.16539613456240188, 0.0, 0.0],
-    [-0.25, -0.2124845224756835, -0.03329651840862409, 0.02579137225665796],
-    [-0.25, -0.2124845224756835, -0.00568772436841493, -0.041731316927773654],
-    [-0.25, -0.2124845224756835, 0.03898424277703902, 0.015939944671115695],
-    [-0.25, -0.18645470182739732, -0.08717141690081442, 0.0675226891844316],
-    [-0.25, -0.18645470182739732, -0.01489065571515132, -0.10925400611220526],
-    [-0.25, -0.18645470182739732, 0.10206207261596575, 0.041731316927773654],
-    [-0.25, -0.14433756729740643, -0.1467340397614197, 0.0675226891844316],
-    [-0.25, -0.14433756729740643, -0.10206207261596575, 0.12519395078332096],
-    [-0.25, -0.14433756729740643, -0.05739010547051179, -0.1509853230399789],
-    [-0.25, -0.14433756729740643, 0.01489065571515132, -0.16083675062552116],
-    [-0.25, -0.14433756729740643, 0.13184338404626839, 0.09331406144108957],
-    [-0.25, -0.14433756729740643, 0.15945217808647755, 0.02579137225665796],
-    [-0.25, -0.10222043276741558, -0.1892334895167802, 0.02579137225665796],
-    [-0.25, -0.10222043276741558, -0.11695272833111708, -0.1509853230399789],
-    [-0.25, -0.10222043276741558, -0.07228076118566312, 0.17677669529663687],
-    [-0.25, -0.10222043276741558, 0.07228076118566312, -0.17677669529663687],
-    [-0.25, -0.10222043276741558, 0.11695272833111708, 0.1509853230399789],
-    [-0.25, -0.10222043276741558, 0.1892334895167802, -0.02579137225665796],
-    [-0.25, -0.07619061211912939, -0.1984364208635166, -0.041731316927773654],
-    [-0.25, -0.07619061211912939, -0.17082762682330743, -0.10925400611220526],
-    [-0.25, -0.07619061211912939, -0.009202931346736387, 0.20256806755329482],
-    [-0.25, -0.07619061211912939, 0.06307782983892674, 0.19271663996775257],
-    [-0.25, -0.07619061211912939, 0.13535859102458986, -0.1509853230399789],
-    [-0.25, -0.07619061211912939, 0.18003055817004382, -0.09331406144108957],
-    [-0.25, -0.03407347758913852, -0.2133270765786679, 0.015939944671115695],
-    [-0.25, -0.03407347758913852, -0.14104631539300477, -0.16083675062552116],
-    [-0.25, -0.03407347758913852, -0.06876555420734165, 0.20256806755329482],
-    [-0.25, -0.03407347758913852, 0.09285914126922937, -0.19271663996775257],
-    [-0.25, -0.03407347758913852, 0.12046793530943853, 0.17677669529663687],
-    [-0.25, -0.03407347758913852, 0.20981186960034642, -0.041731316927773654],
-    [-0.25, 0.03407347758913852, -0.20981186960034642, 0.041731316927773654],
-    [-0.25, 0.03407347758913852, -0.12046793530943853, -0.17677669529663687],
-    [-0.25, 0.03407347758913852, -0.09285914126922937, 0.19271663996775257],
-    [-0.25, 0.03407347758913852, 0.06876555420734165, -0.20256806755329482],
-    [-0.25, 0.03407347758913852, 0.14104631539300477, 0.16083675062552116],
-    [-0.25, 0.03407347758913852, 0.2133270765786679, -0.015939944671115695],
-    [-0.25, 0.07619061211912939, -0.18003055817004382, 0.09331406144108957],
-    [-0.25, 0.07619061211912939, -0.13535859102458986, 0.1509853230399789],
-    [-0.25, 0.07619061211912939, -0.06307782983892674, -0.19271663996775257],
-    [-0.25, 0.07619061211912939, 0.009202931346736387, -0.20256806755329482],
-    [-0.25, 0.07619061211912939, 0.17082762682330743, 0.10925400611220526],
-    [-0.25, 0.07619061211912939, 0.1984364208635166, 0.041731316927773654],
-    [-0.25, 0.10222043276741558, -0.1892334895167802, 0.02579137225665796],
-    [-0.25, 0.10222043276741558, -0.11695272833111708, -0.1509853230399789],
-    [-0.25, 0.10222043276741558, -0.07228076118566312, 0.17677669529663687],
-    [-0.25, 0.10222043276741558, 0.07228076118566312, -0.17677669529663687],
-    [-0.25, 0.10222043276741558, 0.11695272833111708, 0.1509853230399789],
-    [-0.25, 0.10222043276741558, 0.1892334895167802, -0.02579137225665796],
-    [-0.25, 0.14433756729740643, -0.15945217808647755, -0.02579137225665796],
-    [-0.25, 0.14433756729740643, -0.13184338404626839, -0.09331406144108957],
-    [-0.25, 0.14433756729740643, -0.01489065571515132, 0.16083675062552116],
-    [-0.25, 0.14433756729740643, 0.05739010547051179, 0.1509853230399789],
-    [-0.25, 0.14433756729740643, 0.10206207261596575, -0.12519395078332096],
-    [-0.25, 0.14433756729740643, 0.1467340397614197, -0.0675226891844316],
-    [-0.25, 0.18645470182739732, -0.10206207261596575, -0.041731316927773654],
-    [-0.25, 0.18645470182739732, 0.01489065571515132, 0.10925400611220526],
-    [-0.25, 0.18645470182739732, 0.08717141690081442, -0.0675226891844316],
-    [-0.25, 0.2124845224756835, -0.03898424277703902, -0.015939944671115695],
-    [-0.25, 0.2124845224756835, 0.00568772436841493, 0.041731316927773654],
-    [-0.25, 0.2124845224756835, 0.03329651840862409, -0.02579137225665796],
-    [
-      -0.21352549156242112, -0.23354308974067894, -0.09285914126922937,
-      0.02579137225665796,
-    ],
-    [
-      -0.21352549156242112, -0.23354308974067894, -0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, -0.23354308974067894, -0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, -0.23354308974067894, 0.024093587061887703,
-      -0.09331406144108957,
-    ],
-    [
-      -0.21352549156242112, -0.23354308974067894, 0.06876555420734165,
-      0.0675226891844316,
-    ],
-    [-0.21352549156242112, -0.23354308974067894, 0.09637434824755081, 0.0],
-    [
-      -0.21352549156242112, -0.16539613456240188, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      -0.21352549156242112, -0.16539613456240188, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      -0.21352549156242112, -0.16539613456240188, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, -0.16539613456240188, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, -0.16539613456240188, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      -0.21352549156242112, -0.16539613456240188, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, -0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, -0.13184338404626839,
-      0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, -0.08717141690081442,
-      -0.20256806755329482,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, 0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, 0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      -0.21352549156242112, -0.12327900003241102, 0.2190148009470828,
-      0.02579137225665796,
-    ],
-    [
-      -0.21352549156242112, -0.05513204485413396, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      -0.21352549156242112, -0.05513204485413396, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      -0.21352549156242112, -0.05513204485413396, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      -0.21352549156242112, -0.013014910324143092, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      -0.21352549156242112, -0.013014910324143092, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, -0.013014910324143092, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, -0.013014910324143092, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      -0.21352549156242112, -0.013014910324143092, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [-0.21352549156242112, -0.013014910324143092, 0.25231131935570694, 0.0],
-    [-0.21352549156242112, 0.013014910324143092, -0.25231131935570694, 0.0],
-    [
-      -0.21352549156242112, 0.013014910324143092, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, 0.013014910324143092, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      -0.21352549156242112, 0.013014910324143092, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, 0.013014910324143092, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, 0.013014910324143092, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      -0.21352549156242112, 0.05513204485413396, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      -0.21352549156242112, 0.05513204485413396, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      -0.21352549156242112, 0.05513204485413396, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, -0.2190148009470828,
-      -0.02579137225665796,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, -0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, -0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, 0.08717141690081442,
-      0.20256806755329482,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, 0.13184338404626839,
-      -0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, 0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, 0.12327900003241102, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, 0.16539613456240188, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      -0.21352549156242112, 0.16539613456240188, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      -0.21352549156242112, 0.16539613456240188, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, 0.16539613456240188, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      -0.21352549156242112, 0.16539613456240188, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      -0.21352549156242112, 0.16539613456240188, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [-0.21352549156242112, 0.23354308974067894, -0.09637434824755081, 0.0],
-    [
-      -0.21352549156242112, 0.23354308974067894, -0.06876555420734165,
-      -0.0675226891844316,
-    ],
-    [
-      -0.21352549156242112, 0.23354308974067894, -0.024093587061887703,
-      0.09331406144108957,
-    ],
-    [
-      -0.21352549156242112, 0.23354308974067894, 0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, 0.23354308974067894, 0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      -0.21352549156242112, 0.23354308974067894, 0.09285914126922937,
-      -0.02579137225665796,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [-0.19098300562505258, -0.22052817941653585, -0.15593697110815607, 0.0],
-    [
-      -0.19098300562505258, -0.22052817941653585, -0.11126500396270214,
-      -0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, -0.22052817941653585, -0.03898424277703902,
-      0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, -0.22052817941653585, 0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.22052817941653585, 0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.22052817941653585, 0.15024924673974116,
-      -0.041731316927773654,
-    ],
-    [
-      -0.19098300562505258, -0.17841104488654497, -0.1984364208635166,
-      -0.041731316927773654,
-    ],
-    [
-      -0.19098300562505258, -0.17841104488654497, -0.17082762682330743,
-      -0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, -0.17841104488654497, -0.009202931346736387,
-      0.20256806755329482,
-    ],
-    [
-      -0.19098300562505258, -0.17841104488654497, 0.06307782983892674,
-      0.19271663996775257,
-    ],
-    [
-      -0.19098300562505258, -0.17841104488654497, 0.13535859102458986,
-      -0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, -0.17841104488654497, 0.18003055817004382,
-      -0.09331406144108957,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      -0.19098300562505258, -0.06814695517827704, -0.23742066364055558,
-      0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, -0.06814695517827704, -0.16513990245489246,
-      0.20256806755329482,
-    ],
-    [
-      -0.19098300562505258, -0.06814695517827704, -0.09285914126922937,
-      -0.24429938448106847,
-    ],
-    [
-      -0.19098300562505258, -0.06814695517827704, 0.024093587061887703,
-      -0.2602393291521842,
-    ],
-    [
-      -0.19098300562505258, -0.06814695517827704, 0.2133270765786679,
-      0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, -0.06814695517827704, 0.25799904372412186,
-      0.041731316927773654,
-    ],
-    [-0.19098300562505258, 0.0, -0.2615142507024433, -0.0675226891844316],
-    [-0.19098300562505258, 0.0, -0.23390545666223417, -0.1350453783688632],
-    [-0.19098300562505258, 0.0, -0.23390545666223417, 0.1350453783688632],
-    [-0.19098300562505258, 0.0, -0.1892334895167802, 0.19271663996775257],
-    [-0.19098300562505258, 0.0, -0.07228076118566312, -0.2602393291521842],
-    [-0.19098300562505258, 0.0, 0.0, -0.2700907567377264],
-    [-0.19098300562505258, 0.0, 0.0, 0.2700907567377264],
-    [-0.19098300562505258, 0.0, 0.07228076118566312, 0.2602393291521842],
-    [-0.19098300562505258, 0.0, 0.1892334895167802, -0.19271663996775257],
-    [-0.19098300562505258, 0.0, 0.23390545666223417, -0.1350453783688632],
-    [-0.19098300562505258, 0.0, 0.23390545666223417, 0.1350453783688632],
-    [-0.19098300562505258, 0.0, 0.2615142507024433, 0.0675226891844316],
-    [
-      -0.19098300562505258, 0.06814695517827704, -0.25799904372412186,
-      -0.041731316927773654,
-    ],
-    [
-      -0.19098300562505258, 0.06814695517827704, -0.2133270765786679,
-      -0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, 0.06814695517827704, -0.024093587061887703,
-      0.2602393291521842,
-    ],
-    [
-      -0.19098300562505258, 0.06814695517827704, 0.09285914126922937,
-      0.24429938448106847,
-    ],
-    [
-      -0.19098300562505258, 0.06814695517827704, 0.16513990245489246,
-      -0.20256806755329482,
-    ],
-    [
-      -0.19098300562505258, 0.06814695517827704, 0.23742066364055558,
-      -0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, 0.17841104488654497, -0.18003055817004382,
-      0.09331406144108957,
-    ],
-    [
-      -0.19098300562505258, 0.17841104488654497, -0.13535859102458986,
-      0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, 0.17841104488654497, -0.06307782983892674,
-      -0.19271663996775257,
-    ],
-    [
-      -0.19098300562505258, 0.17841104488654497, 0.009202931346736387,
-      -0.20256806755329482,
-    ],
-    [
-      -0.19098300562505258, 0.17841104488654497, 0.17082762682330743,
-      0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, 0.17841104488654497, 0.1984364208635166,
-      0.041731316927773654,
-    ],
-    [
-      -0.19098300562505258, 0.22052817941653585, -0.15024924673974116,
-      0.041731316927773654,
-    ],
-    [
-      -0.19098300562505258, 0.22052817941653585, -0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.22052817941653585, -0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.22052817941653585, 0.03898424277703902,
-      -0.1509853230399789,
-    ],
-    [
-      -0.19098300562505258, 0.22052817941653585, 0.11126500396270214,
-      0.10925400611220526,
-    ],
-    [-0.19098300562505258, 0.22052817941653585, 0.15593697110815607, 0.0],
-    [
-      -0.19098300562505258, 0.24655800006482204, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, -0.11695272833111708,
-      0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, -0.07228076118566312,
-      -0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, -0.04467196714545396,
-      0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, 0.04467196714545396,
-      -0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, 0.07228076118566312,
-      0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, 0.11695272833111708,
-      -0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, -0.2133270765786679,
-      0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, -0.14104631539300477,
-      -0.16083675062552116,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, -0.06876555420734165,
-      0.20256806755329482,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, 0.09285914126922937,
-      -0.19271663996775257,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, 0.12046793530943853,
-      0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, 0.20981186960034642,
-      -0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, -0.15735247762154952, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, -0.15735247762154952, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, -0.15735247762154952, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      -0.15450849718747373, -0.13132265697326334, -0.23742066364055558,
-      0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, -0.13132265697326334, -0.16513990245489246,
-      0.20256806755329482,
-    ],
-    [
-      -0.15450849718747373, -0.13132265697326334, -0.09285914126922937,
-      -0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, -0.13132265697326334, 0.024093587061887703,
-      -0.2602393291521842,
-    ],
-    [
-      -0.15450849718747373, -0.13132265697326334, 0.2133270765786679,
-      0.1509853230399789,
-    ],
-    [
-      -0.15450849718747373, -0.13132265697326334, 0.25799904372412186,
-      0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, -0.04708838791328161, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, -0.04708838791328161, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      -0.15450849718747373, -0.04708838791328161, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, -0.021058567264995436, -0.27640490641759463,
-      0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, -0.021058567264995436, -0.15945217808647755,
-      0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, -0.021058567264995436, -0.13184338404626839,
-      -0.2602393291521842,
-    ],
-    [
-      -0.15450849718747373, -0.021058567264995436, 0.05739010547051179,
-      -0.2860307014088421,
-    ],
-    [
-      -0.15450849718747373, -0.021058567264995436, 0.2190148009470828,
-      0.19271663996775257,
-    ],
-    [
-      -0.15450849718747373, -0.021058567264995436, 0.291295562132746,
-      0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, 0.021058567264995436, -0.291295562132746,
-      -0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, 0.021058567264995436, -0.2190148009470828,
-      -0.19271663996775257,
-    ],
-    [
-      -0.15450849718747373, 0.021058567264995436, -0.05739010547051179,
-      0.2860307014088421,
-    ],
-    [
-      -0.15450849718747373, 0.021058567264995436, 0.13184338404626839,
-      0.2602393291521842,
-    ],
-    [
-      -0.15450849718747373, 0.021058567264995436, 0.15945217808647755,
-      -0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, 0.021058567264995436, 0.27640490641759463,
-      -0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, 0.04708838791328161, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, 0.04708838791328161, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      -0.15450849718747373, 0.04708838791328161, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, 0.13132265697326334, -0.25799904372412186,
-      -0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, 0.13132265697326334, -0.2133270765786679,
-      -0.1509853230399789,
-    ],
-    [
-      -0.15450849718747373, 0.13132265697326334, -0.024093587061887703,
-      0.2602393291521842,
-    ],
-    [
-      -0.15450849718747373, 0.13132265697326334, 0.09285914126922937,
-      0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, 0.13132265697326334, 0.16513990245489246,
-      -0.20256806755329482,
-    ],
-    [
-      -0.15450849718747373, 0.13132265697326334, 0.23742066364055558,
-      -0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, 0.15735247762154952, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      -0.15450849718747373, 0.15735247762154952, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, 0.15735247762154952, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, -0.20981186960034642,
-      0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, -0.12046793530943853,
-      -0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, -0.09285914126922937,
-      0.19271663996775257,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, 0.06876555420734165,
-      -0.20256806755329482,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, 0.14104631539300477,
-      0.16083675062552116,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, 0.2133270765786679,
-      -0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, -0.11695272833111708,
-      0.015939944671115695,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, -0.07228076118566312,
-      -0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, -0.04467196714545396,
-      0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, 0.04467196714545396,
-      -0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, 0.07228076118566312,
-      0.09331406144108957,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, 0.11695272833111708,
-      -0.015939944671115695,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      -0.11803398874989485, -0.17841104488654497, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      -0.11803398874989485, -0.17841104488654497, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, -0.17841104488654497, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, -0.17841104488654497, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      -0.11803398874989485, -0.17841104488654497, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [-0.11803398874989485, -0.17841104488654497, 0.25231131935570694, 0.0],
-    [
-      -0.11803398874989485, -0.11026408970826793, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      -0.11803398874989485, -0.11026408970826793, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      -0.11803398874989485, -0.11026408970826793, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [-0.11803398874989485, 0.0, -0.30618621784789724, 0.041731316927773654],
-    [-0.11803398874989485, 0.0, -0.1892334895167802, -0.24429938448106847],
-    [-0.11803398874989485, 0.0, -0.11695272833111708, 0.2860307014088421],
-    [-0.11803398874989485, 0.0, 0.11695272833111708, -0.2860307014088421],
-    [-0.11803398874989485, 0.0, 0.1892334895167802, 0.24429938448106847],
-    [-0.11803398874989485, 0.0, 0.30618621784789724, -0.041731316927773654],
-    [
-      -0.11803398874989485, 0.11026408970826793, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      -0.11803398874989485, 0.11026408970826793, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      -0.11803398874989485, 0.11026408970826793, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [-0.11803398874989485, 0.17841104488654497, -0.25231131935570694, 0.0],
-    [
-      -0.11803398874989485, 0.17841104488654497, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      -0.11803398874989485, 0.17841104488654497, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      -0.11803398874989485, 0.17841104488654497, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, 0.17841104488654497, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, 0.17841104488654497, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [-0.09549150281252629, -0.301690044918956, -0.09637434824755081, 0.0],
-    [
-      -0.09549150281252629, -0.301690044918956, -0.06876555420734165,
-      -0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, -0.301690044918956, -0.024093587061887703,
-      0.09331406144108957,
-    ],
-    [
-      -0.09549150281252629, -0.301690044918956, 0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, -0.301690044918956, 0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, -0.301690044918956, 0.09285914126922937,
-      -0.02579137225665796,
-    ],
-    [
-      -0.09549150281252629, -0.27566022427066983, -0.15024924673974116,
-      0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, -0.27566022427066983, -0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, -0.27566022427066983, -0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, -0.27566022427066983, 0.03898424277703902,
-      -0.1509853230399789,
-    ],
-    [
-      -0.09549150281252629, -0.27566022427066983, 0.11126500396270214,
-      0.10925400611220526,
-    ],
-    [-0.09549150281252629, -0.27566022427066983, 0.15593697110815607, 0.0],
-    [
-      -0.09549150281252629, -0.23354308974067894, -0.20981186960034642,
-      0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, -0.12046793530943853,
-      -0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, -0.09285914126922937,
-      0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, 0.06876555420734165,
-      -0.20256806755329482,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, 0.14104631539300477,
-      0.16083675062552116,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, 0.2133270765786679,
-      -0.015939944671115695,
-    ],
-    [-0.09549150281252629, -0.19142595521068806, -0.25231131935570694, 0.0],
-    [
-      -0.09549150281252629, -0.19142595521068806, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, -0.19142595521068806, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, -0.19142595521068806, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, -0.19142595521068806, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, -0.19142595521068806, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, -0.2615142507024433,
-      -0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, -0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, -0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, -0.1892334895167802,
-      0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, -0.07228076118566312,
-      -0.2602393291521842,
-    ],
-    [-0.09549150281252629, -0.16539613456240188, 0.0, -0.2700907567377264],
-    [-0.09549150281252629, -0.16539613456240188, 0.0, 0.2700907567377264],
-    [
-      -0.09549150281252629, -0.16539613456240188, 0.07228076118566312,
-      0.2602393291521842,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, 0.1892334895167802,
-      -0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, 0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, 0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, -0.16539613456240188, 0.2615142507024433,
-      0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, -0.12327900003241102, -0.27640490641759463,
-      0.09331406144108957,
-    ],
-    [
-      -0.09549150281252629, -0.12327900003241102, -0.15945217808647755,
-      0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, -0.12327900003241102, -0.13184338404626839,
-      -0.2602393291521842,
-    ],
-    [
-      -0.09549150281252629, -0.12327900003241102, 0.05739010547051179,
-      -0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, -0.12327900003241102, 0.2190148009470828,
-      0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, -0.12327900003241102, 0.291295562132746,
-      0.015939944671115695,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.2728896994392732,
-      -0.1509853230399789,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.00568772436841493,
-      0.3118220736655001,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.2672019750708582,
-      -0.16083675062552116,
-    ],
-    [-0.09549150281252629, -0.05513204485413396, 0.31187394221631215, 0.0],
-    [
-      -0.09549150281252629, -0.013014910324143092, -0.3153891491946337,
-      -0.02579137225665796,
-    ],
-    [
-      -0.09549150281252629, -0.013014910324143092, -0.24310838800897056,
-      -0.20256806755329482,
-    ],
-    [
-      -0.09549150281252629, -0.013014910324143092, -0.05387489849219034,
-      0.3118220736655001,
-    ],
-    [
-      -0.09549150281252629, -0.013014910324143092, 0.13535859102458986,
-      0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, -0.013014910324143092, 0.18003055817004382,
-      -0.2602393291521842,
-    ],
-    [
-      -0.09549150281252629, -0.013014910324143092, 0.2969832865011609,
-      -0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, 0.013014910324143092, -0.2969832865011609,
-      0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, 0.013014910324143092, -0.18003055817004382,
-      0.2602393291521842,
-    ],
-    [
-      -0.09549150281252629, 0.013014910324143092, -0.13535859102458986,
-      -0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, 0.013014910324143092, 0.05387489849219034,
-      -0.3118220736655001,
-    ],
-    [
-      -0.09549150281252629, 0.013014910324143092, 0.24310838800897056,
-      0.20256806755329482,
-    ],
-    [
-      -0.09549150281252629, 0.013014910324143092, 0.3153891491946337,
-      0.02579137225665796,
-    ],
-    [-0.09549150281252629, 0.05513204485413396, -0.31187394221631215, 0.0],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.2672019750708582,
-      0.16083675062552116,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.00568772436841493,
-      -0.3118220736655001,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.2728896994392732,
-      0.1509853230399789,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, 0.12327900003241102, -0.291295562132746,
-      -0.015939944671115695,
-    ],
-    [
-      -0.09549150281252629, 0.12327900003241102, -0.2190148009470828,
-      -0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, 0.12327900003241102, -0.05739010547051179,
-      0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, 0.12327900003241102, 0.13184338404626839,
-      0.2602393291521842,
-    ],
-    [
-      -0.09549150281252629, 0.12327900003241102, 0.15945217808647755,
-      -0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, 0.12327900003241102, 0.27640490641759463,
-      -0.09331406144108957,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, -0.2615142507024433,
-      -0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, -0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, -0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, -0.1892334895167802,
-      0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, -0.07228076118566312,
-      -0.2602393291521842,
-    ],
-    [-0.09549150281252629, 0.16539613456240188, 0.0, -0.2700907567377264],
-    [-0.09549150281252629, 0.16539613456240188, 0.0, 0.2700907567377264],
-    [
-      -0.09549150281252629, 0.16539613456240188, 0.07228076118566312,
-      0.2602393291521842,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, 0.1892334895167802,
-      -0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, 0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, 0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, 0.16539613456240188, 0.2615142507024433,
-      0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, 0.19142595521068806, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, 0.19142595521068806, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, 0.19142595521068806, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.09549150281252629, 0.19142595521068806, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, 0.19142595521068806, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [-0.09549150281252629, 0.19142595521068806, 0.25231131935570694, 0.0],
-    [
-      -0.09549150281252629, 0.23354308974067894, -0.2133270765786679,
-      0.015939944671115695,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, -0.14104631539300477,
-      -0.16083675062552116,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, -0.06876555420734165,
-      0.20256806755329482,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, 0.09285914126922937,
-      -0.19271663996775257,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, 0.12046793530943853,
-      0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, 0.20981186960034642,
-      -0.041731316927773654,
-    ],
-    [-0.09549150281252629, 0.27566022427066983, -0.15593697110815607, 0.0],
-    [
-      -0.09549150281252629, 0.27566022427066983, -0.11126500396270214,
-      -0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, 0.27566022427066983, -0.03898424277703902,
-      0.1509853230399789,
-    ],
-    [
-      -0.09549150281252629, 0.27566022427066983, 0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, 0.27566022427066983, 0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      -0.09549150281252629, 0.27566022427066983, 0.15024924673974116,
-      -0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, 0.301690044918956, -0.09285914126922937,
-      0.02579137225665796,
-    ],
-    [
-      -0.09549150281252629, 0.301690044918956, -0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, 0.301690044918956, -0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      -0.09549150281252629, 0.301690044918956, 0.024093587061887703,
-      -0.09331406144108957,
-    ],
-    [
-      -0.09549150281252629, 0.301690044918956, 0.06876555420734165,
-      0.0675226891844316,
-    ],
-    [-0.09549150281252629, 0.301690044918956, 0.09637434824755081, 0.0],
-    [
-      -0.059016994374947424, -0.32274861218395146, -0.03898424277703902,
-      -0.015939944671115695,
-    ],
-    [
-      -0.059016994374947424, -0.32274861218395146, 0.00568772436841493,
-      0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, -0.32274861218395146, 0.03329651840862409,
-      -0.02579137225665796,
-    ],
-    [
-      -0.059016994374947424, -0.2546016570056744, -0.18003055817004382,
-      0.09331406144108957,
-    ],
-    [
-      -0.059016994374947424, -0.2546016570056744, -0.13535859102458986,
-      0.1509853230399789,
-    ],
-    [
-      -0.059016994374947424, -0.2546016570056744, -0.06307782983892674,
-      -0.19271663996775257,
-    ],
-    [
-      -0.059016994374947424, -0.2546016570056744, 0.009202931346736387,
-      -0.20256806755329482,
-    ],
-    [
-      -0.059016994374947424, -0.2546016570056744, 0.17082762682330743,
-      0.10925400611220526,
-    ],
-    [
-      -0.059016994374947424, -0.2546016570056744, 0.1984364208635166,
-      0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, -0.2124845224756835, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      -0.059016994374947424, -0.2124845224756835, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, -0.2124845224756835, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      -0.059016994374947424, -0.14433756729740643, -0.291295562132746,
-      -0.015939944671115695,
-    ],
-    [
-      -0.059016994374947424, -0.14433756729740643, -0.2190148009470828,
-      -0.19271663996775257,
-    ],
-    [
-      -0.059016994374947424, -0.14433756729740643, -0.05739010547051179,
-      0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, -0.14433756729740643, 0.13184338404626839,
-      0.2602393291521842,
-    ],
-    [
-      -0.059016994374947424, -0.14433756729740643, 0.15945217808647755,
-      -0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, -0.14433756729740643, 0.27640490641759463,
-      -0.09331406144108957,
-    ],
-    [
-      -0.059016994374947424, -0.10222043276741558, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, -0.10222043276741558, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, -0.10222043276741558, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, -0.10222043276741558, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, -0.10222043276741558, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, -0.10222043276741558, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, -0.07619061211912939, -0.3153891491946337,
-      -0.02579137225665796,
-    ],
-    [
-      -0.059016994374947424, -0.07619061211912939, -0.24310838800897056,
-      -0.20256806755329482,
-    ],
-    [
-      -0.059016994374947424, -0.07619061211912939, -0.05387489849219034,
-      0.3118220736655001,
-    ],
-    [
-      -0.059016994374947424, -0.07619061211912939, 0.13535859102458986,
-      0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, -0.07619061211912939, 0.18003055817004382,
-      -0.2602393291521842,
-    ],
-    [
-      -0.059016994374947424, -0.07619061211912939, 0.2969832865011609,
-      -0.10925400611220526,
-    ],
-    [
-      -0.059016994374947424, 0.07619061211912939, -0.2969832865011609,
-      0.10925400611220526,
-    ],
-    [
-      -0.059016994374947424, 0.07619061211912939, -0.18003055817004382,
-      0.2602393291521842,
-    ],
-    [
-      -0.059016994374947424, 0.07619061211912939, -0.13535859102458986,
-      -0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, 0.07619061211912939, 0.05387489849219034,
-      -0.3118220736655001,
-    ],
-    [
-      -0.059016994374947424, 0.07619061211912939, 0.24310838800897056,
-      0.20256806755329482,
-    ],
-    [
-      -0.059016994374947424, 0.07619061211912939, 0.3153891491946337,
-      0.02579137225665796,
-    ],
-    [
-      -0.059016994374947424, 0.10222043276741558, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, 0.10222043276741558, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, 0.10222043276741558, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, 0.10222043276741558, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, 0.10222043276741558, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, 0.10222043276741558, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, 0.14433756729740643, -0.27640490641759463,
-      0.09331406144108957,
-    ],
-    [
-      -0.059016994374947424, 0.14433756729740643, -0.15945217808647755,
-      0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, 0.14433756729740643, -0.13184338404626839,
-      -0.2602393291521842,
-    ],
-    [
-      -0.059016994374947424, 0.14433756729740643, 0.05739010547051179,
-      -0.2860307014088421,
-    ],
-    [
-      -0.059016994374947424, 0.14433756729740643, 0.2190148009470828,
-      0.19271663996775257,
-    ],
-    [
-      -0.059016994374947424, 0.14433756729740643, 0.291295562132746,
-      0.015939944671115695,
-    ],
-    [
-      -0.059016994374947424, 0.2124845224756835, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      -0.059016994374947424, 0.2124845224756835, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      -0.059016994374947424, 0.2124845224756835, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      -0.059016994374947424, 0.2546016570056744, -0.1984364208635166,
-      -0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, 0.2546016570056744, -0.17082762682330743,
-      -0.10925400611220526,
-    ],
-    [
-      -0.059016994374947424, 0.2546016570056744, -0.009202931346736387,
-      0.20256806755329482,
-    ],
-    [
-      -0.059016994374947424, 0.2546016570056744, 0.06307782983892674,
-      0.19271663996775257,
-    ],
-    [
-      -0.059016994374947424, 0.2546016570056744, 0.13535859102458986,
-      -0.1509853230399789,
-    ],
-    [
-      -0.059016994374947424, 0.2546016570056744, 0.18003055817004382,
-      -0.09331406144108957,
-    ],
-    [
-      -0.059016994374947424, 0.32274861218395146, -0.03329651840862409,
-      0.02579137225665796,
-    ],
-    [
-      -0.059016994374947424, 0.32274861218395146, -0.00568772436841493,
-      -0.041731316927773654,
-    ],
-    [
-      -0.059016994374947424, 0.32274861218395146, 0.03898424277703902,
-      0.015939944671115695,
-    ],
-    [
-      -0.036474508437578865, -0.3097337018598083, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.036474508437578865, -0.3097337018598083, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, -0.3097337018598083, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      -0.036474508437578865, -0.2676165673298174, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      -0.036474508437578865, -0.2676165673298174, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, -0.2676165673298174, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, -0.2676165673298174, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, -0.2676165673298174, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, -0.2676165673298174, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [
-      -0.036474508437578865, -0.1994696121515404, -0.25799904372412186,
-      -0.041731316927773654,
-    ],
-    [
-      -0.036474508437578865, -0.1994696121515404, -0.2133270765786679,
-      -0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, -0.1994696121515404, -0.024093587061887703,
-      0.2602393291521842,
-    ],
-    [
-      -0.036474508437578865, -0.1994696121515404, 0.09285914126922937,
-      0.24429938448106847,
-    ],
-    [
-      -0.036474508437578865, -0.1994696121515404, 0.16513990245489246,
-      -0.20256806755329482,
-    ],
-    [
-      -0.036474508437578865, -0.1994696121515404, 0.23742066364055558,
-      -0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, -0.15735247762154952, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, -0.15735247762154952, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      -0.036474508437578865, -0.15735247762154952, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, -0.08920552244327248, -0.2969832865011609,
-      0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, -0.08920552244327248, -0.18003055817004382,
-      0.2602393291521842,
-    ],
-    [
-      -0.036474508437578865, -0.08920552244327248, -0.13535859102458986,
-      -0.2860307014088421,
-    ],
-    [
-      -0.036474508437578865, -0.08920552244327248, 0.05387489849219034,
-      -0.3118220736655001,
-    ],
-    [
-      -0.036474508437578865, -0.08920552244327248, 0.24310838800897056,
-      0.20256806755329482,
-    ],
-    [
-      -0.036474508437578865, -0.08920552244327248, 0.3153891491946337,
-      0.02579137225665796,
-    ],
-    [
-      -0.036474508437578865, -0.021058567264995436, -0.3210768735630486,
-      -0.0675226891844316,
-    ],
-    [
-      -0.036474508437578865, -0.021058567264995436, -0.27640490641759463,
-      -0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, -0.021058567264995436, -0.01489065571515132,
-      0.3277620183366158,
-    ],
-    [
-      -0.036474508437578865, -0.021058567264995436, 0.10206207261596575,
-      0.3118220736655001,
-    ],
-    [
-      -0.036474508437578865, -0.021058567264995436, 0.2190148009470828,
-      -0.24429938448106847,
-    ],
-    [
-      -0.036474508437578865, -0.021058567264995436, 0.291295562132746,
-      -0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, 0.021058567264995436, -0.291295562132746,
-      0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, 0.021058567264995436, -0.2190148009470828,
-      0.24429938448106847,
-    ],
-    [
-      -0.036474508437578865, 0.021058567264995436, -0.10206207261596575,
-      -0.3118220736655001,
-    ],
-    [
-      -0.036474508437578865, 0.021058567264995436, 0.01489065571515132,
-      -0.3277620183366158,
-    ],
-    [
-      -0.036474508437578865, 0.021058567264995436, 0.27640490641759463,
-      0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, 0.021058567264995436, 0.3210768735630486,
-      0.0675226891844316,
-    ],
-    [
-      -0.036474508437578865, 0.08920552244327248, -0.3153891491946337,
-      -0.02579137225665796,
-    ],
-    [
-      -0.036474508437578865, 0.08920552244327248, -0.24310838800897056,
-      -0.20256806755329482,
-    ],
-    [
-      -0.036474508437578865, 0.08920552244327248, -0.05387489849219034,
-      0.3118220736655001,
-    ],
-    [
-      -0.036474508437578865, 0.08920552244327248, 0.13535859102458986,
-      0.2860307014088421,
-    ],
-    [
-      -0.036474508437578865, 0.08920552244327248, 0.18003055817004382,
-      -0.2602393291521842,
-    ],
-    [
-      -0.036474508437578865, 0.08920552244327248, 0.2969832865011609,
-      -0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, 0.15735247762154952, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, 0.15735247762154952, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      -0.036474508437578865, 0.15735247762154952, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, 0.1994696121515404, -0.23742066364055558,
-      0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, 0.1994696121515404, -0.16513990245489246,
-      0.20256806755329482,
-    ],
-    [
-      -0.036474508437578865, 0.1994696121515404, -0.09285914126922937,
-      -0.24429938448106847,
-    ],
-    [
-      -0.036474508437578865, 0.1994696121515404, 0.024093587061887703,
-      -0.2602393291521842,
-    ],
-    [
-      -0.036474508437578865, 0.1994696121515404, 0.2133270765786679,
-      0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, 0.1994696121515404, 0.25799904372412186,
-      0.041731316927773654,
-    ],
-    [
-      -0.036474508437578865, 0.2676165673298174, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      -0.036474508437578865, 0.2676165673298174, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, 0.2676165673298174, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, 0.2676165673298174, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      -0.036474508437578865, 0.2676165673298174, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      -0.036474508437578865, 0.2676165673298174, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [
-      -0.036474508437578865, 0.3097337018598083, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.036474508437578865, 0.3097337018598083, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.036474508437578865, 0.3097337018598083, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [0.0, -0.33079226912480375, 0.0, 0.0],
-    [0.0, -0.28867513459481287, -0.15945217808647755, -0.02579137225665796],
-    [0.0, -0.28867513459481287, -0.13184338404626839, -0.09331406144108957],
-    [0.0, -0.28867513459481287, -0.01489065571515132, 0.16083675062552116],
-    [0.0, -0.28867513459481287, 0.05739010547051179, 0.1509853230399789],
-    [0.0, -0.28867513459481287, 0.10206207261596575, -0.12519395078332096],
-    [0.0, -0.28867513459481287, 0.1467340397614197, -0.0675226891844316],
-    [0.0, -0.24655800006482204, -0.2190148009470828, -0.02579137225665796],
-    [0.0, -0.24655800006482204, -0.17434283380162885, -0.1350453783688632],
-    [0.0, -0.24655800006482204, -0.17434283380162885, 0.1350453783688632],
-    [0.0, -0.24655800006482204, -0.02978131143030264, -0.21850801222441052],
-    [0.0, -0.24655800006482204, -0.02978131143030264, 0.21850801222441052],
-    [0.0, -0.24655800006482204, 0.08717141690081442, 0.20256806755329482],
-    [0.0, -0.24655800006482204, 0.13184338404626839, -0.17677669529663687],
-    [0.0, -0.24655800006482204, 0.2041241452319315, -0.08346263385554731],
-    [0.0, -0.24655800006482204, 0.2041241452319315, 0.08346263385554731],
-    [0.0, -0.22052817941653585, -0.2282177322938192, -0.09331406144108957],
-    [0.0, -0.22052817941653585, 0.03329651840862409, 0.24429938448106847],
-    [0.0, -0.22052817941653585, 0.19492121388519512, -0.1509853230399789],
-    [0.0, -0.11026408970826793, -0.31187394221631215, 0.0],
-    [0.0, -0.11026408970826793, -0.2672019750708582, 0.16083675062552116],
-    [0.0, -0.11026408970826793, -0.22253000792540428, -0.21850801222441052],
-    [0.0, -0.11026408970826793, -0.22253000792540428, 0.21850801222441052],
-    [0.0, -0.11026408970826793, -0.07796848555407804, -0.3019706460799578],
-    [0.0, -0.11026408970826793, -0.07796848555407804, 0.3019706460799578],
-    [0.0, -0.11026408970826793, -0.00568772436841493, -0.3118220736655001],
-    [0.0, -0.11026408970826793, 0.15593697110815607, -0.2700907567377264],
-    [0.0, -0.11026408970826793, 0.15593697110815607, 0.2700907567377264],
-    [0.0, -0.11026408970826793, 0.2728896994392732, 0.1509853230399789],
-    [0.0, -0.11026408970826793, 0.3004984934794823, -0.08346263385554731],
-    [0.0, -0.11026408970826793, 0.3004984934794823, 0.08346263385554731],
-    [0.0, -0.04211713452999087, -0.291295562132746, 0.1509853230399789],
-    [0.0, -0.04211713452999087, -0.2190148009470828, 0.24429938448106847],
-    [0.0, -0.04211713452999087, -0.10206207261596575, -0.3118220736655001],
-    [0.0, -0.04211713452999087, 0.01489065571515132, -0.3277620183366158],
-    [0.0, -0.04211713452999087, 0.27640490641759463, 0.17677669529663687],
-    [0.0, -0.04211713452999087, 0.3210768735630486, 0.0675226891844316],
-    [0.0, 0.0, -0.30618621784789724, -0.12519395078332096],
-    [0.0, 0.0, -0.2615142507024433, 0.20256806755329482],
-    [0.0, 0.0, -0.04467196714545396, -0.3277620183366158],
-    [0.0, 0.0, 0.04467196714545396, 0.3277620183366158],
-    [0.0, 0.0, 0.2615142507024433, -0.20256806755329482],
-    [0.0, 0.0, 0.30618621784789724, 0.12519395078332096],
-    [0.0, 0.04211713452999087, -0.3210768735630486, -0.0675226891844316],
-    [0.0, 0.04211713452999087, -0.27640490641759463, -0.17677669529663687],
-    [0.0, 0.04211713452999087, -0.01489065571515132, 0.3277620183366158],
-    [0.0, 0.04211713452999087, 0.10206207261596575, 0.3118220736655001],
-    [0.0, 0.04211713452999087, 0.2190148009470828, -0.24429938448106847],
-    [0.0, 0.04211713452999087, 0.291295562132746, -0.1509853230399789],
-    [0.0, 0.11026408970826793, -0.3004984934794823, -0.08346263385554731],
-    [0.0, 0.11026408970826793, -0.3004984934794823, 0.08346263385554731],
-    [0.0, 0.11026408970826793, -0.2728896994392732, -0.1509853230399789],
-    [0.0, 0.11026408970826793, -0.15593697110815607, -0.2700907567377264],
-    [0.0, 0.11026408970826793, -0.15593697110815607, 0.2700907567377264],
-    [0.0, 0.11026408970826793, 0.00568772436841493, 0.3118220736655001],
-    [0.0, 0.11026408970826793, 0.07796848555407804, -0.3019706460799578],
-    [0.0, 0.11026408970826793, 0.07796848555407804, 0.3019706460799578],
-    [0.0, 0.11026408970826793, 0.22253000792540428, -0.21850801222441052],
-    [0.0, 0.11026408970826793, 0.22253000792540428, 0.21850801222441052],
-    [0.0, 0.11026408970826793, 0.2672019750708582, -0.16083675062552116],
-    [0.0, 0.11026408970826793, 0.31187394221631215, 0.0],
-    [0.0, 0.22052817941653585, -0.19492121388519512, 0.1509853230399789],
-    [0.0, 0.22052817941653585, -0.03329651840862409, -0.24429938448106847],
-    [0.0, 0.22052817941653585, 0.2282177322938192, 0.09331406144108957],
-    [0.0, 0.24655800006482204, -0.2041241452319315, -0.08346263385554731],
-    [0.0, 0.24655800006482204, -0.2041241452319315, 0.08346263385554731],
-    [0.0, 0.24655800006482204, -0.13184338404626839, 0.17677669529663687],
-    [0.0, 0.24655800006482204, -0.08717141690081442, -0.20256806755329482],
-    [0.0, 0.24655800006482204, 0.02978131143030264, -0.21850801222441052],
-    [0.0, 0.24655800006482204, 0.02978131143030264, 0.21850801222441052],
-    [0.0, 0.24655800006482204, 0.17434283380162885, -0.1350453783688632],
-    [0.0, 0.24655800006482204, 0.17434283380162885, 0.1350453783688632],
-    [0.0, 0.24655800006482204, 0.2190148009470828, 0.02579137225665796],
-    [0.0, 0.28867513459481287, -0.1467340397614197, 0.0675226891844316],
-    [0.0, 0.28867513459481287, -0.10206207261596575, 0.12519395078332096],
-    [0.0, 0.28867513459481287, -0.05739010547051179, -0.1509853230399789],
-    [0.0, 0.28867513459481287, 0.01489065571515132, -0.16083675062552116],
-    [0.0, 0.28867513459481287, 0.13184338404626839, 0.09331406144108957],
-    [0.0, 0.28867513459481287, 0.15945217808647755, 0.02579137225665796],
-    [0.0, 0.33079226912480375, 0.0, 0.0],
-    [
-      0.036474508437578865, -0.3097337018598083, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.036474508437578865, -0.3097337018598083, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, -0.3097337018598083, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      0.036474508437578865, -0.2676165673298174, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      0.036474508437578865, -0.2676165673298174, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, -0.2676165673298174, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, -0.2676165673298174, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, -0.2676165673298174, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, -0.2676165673298174, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [
-      0.036474508437578865, -0.1994696121515404, -0.25799904372412186,
-      -0.041731316927773654,
-    ],
-    [
-      0.036474508437578865, -0.1994696121515404, -0.2133270765786679,
-      -0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, -0.1994696121515404, -0.024093587061887703,
-      0.2602393291521842,
-    ],
-    [
-      0.036474508437578865, -0.1994696121515404, 0.09285914126922937,
-      0.24429938448106847,
-    ],
-    [
-      0.036474508437578865, -0.1994696121515404, 0.16513990245489246,
-      -0.20256806755329482,
-    ],
-    [
-      0.036474508437578865, -0.1994696121515404, 0.23742066364055558,
-      -0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, -0.15735247762154952, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, -0.15735247762154952, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      0.036474508437578865, -0.15735247762154952, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, -0.08920552244327248, -0.2969832865011609,
-      0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, -0.08920552244327248, -0.18003055817004382,
-      0.2602393291521842,
-    ],
-    [
-      0.036474508437578865, -0.08920552244327248, -0.13535859102458986,
-      -0.2860307014088421,
-    ],
-    [
-      0.036474508437578865, -0.08920552244327248, 0.05387489849219034,
-      -0.3118220736655001,
-    ],
-    [
-      0.036474508437578865, -0.08920552244327248, 0.24310838800897056,
-      0.20256806755329482,
-    ],
-    [
-      0.036474508437578865, -0.08920552244327248, 0.3153891491946337,
-      0.02579137225665796,
-    ],
-    [
-      0.036474508437578865, -0.021058567264995436, -0.3210768735630486,
-      -0.0675226891844316,
-    ],
-    [
-      0.036474508437578865, -0.021058567264995436, -0.27640490641759463,
-      -0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, -0.021058567264995436, -0.01489065571515132,
-      0.3277620183366158,
-    ],
-    [
-      0.036474508437578865, -0.021058567264995436, 0.10206207261596575,
-      0.3118220736655001,
-    ],
-    [
-      0.036474508437578865, -0.021058567264995436, 0.2190148009470828,
-      -0.24429938448106847,
-    ],
-    [
-      0.036474508437578865, -0.021058567264995436, 0.291295562132746,
-      -0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, 0.021058567264995436, -0.291295562132746,
-      0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, 0.021058567264995436, -0.2190148009470828,
-      0.24429938448106847,
-    ],
-    [
-      0.036474508437578865, 0.021058567264995436, -0.10206207261596575,
-      -0.3118220736655001,
-    ],
-    [
-      0.036474508437578865, 0.021058567264995436, 0.01489065571515132,
-      -0.3277620183366158,
-    ],
-    [
-      0.036474508437578865, 0.021058567264995436, 0.27640490641759463,
-      0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, 0.021058567264995436, 0.3210768735630486,
-      0.0675226891844316,
-    ],
-    [
-      0.036474508437578865, 0.08920552244327248, -0.3153891491946337,
-      -0.02579137225665796,
-    ],
-    [
-      0.036474508437578865, 0.08920552244327248, -0.24310838800897056,
-      -0.20256806755329482,
-    ],
-    [
-      0.036474508437578865, 0.08920552244327248, -0.05387489849219034,
-      0.3118220736655001,
-    ],
-    [
-      0.036474508437578865, 0.08920552244327248, 0.13535859102458986,
-      0.2860307014088421,
-    ],
-    [
-      0.036474508437578865, 0.08920552244327248, 0.18003055817004382,
-      -0.2602393291521842,
-    ],
-    [
-      0.036474508437578865, 0.08920552244327248, 0.2969832865011609,
-      -0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, 0.15735247762154952, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, 0.15735247762154952, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      0.036474508437578865, 0.15735247762154952, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, 0.1994696121515404, -0.23742066364055558,
-      0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, 0.1994696121515404, -0.16513990245489246,
-      0.20256806755329482,
-    ],
-    [
-      0.036474508437578865, 0.1994696121515404, -0.09285914126922937,
-      -0.24429938448106847,
-    ],
-    [
-      0.036474508437578865, 0.1994696121515404, 0.024093587061887703,
-      -0.2602393291521842,
-    ],
-    [
-      0.036474508437578865, 0.1994696121515404, 0.2133270765786679,
-      0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, 0.1994696121515404, 0.25799904372412186,
-      0.041731316927773654,
-    ],
-    [
-      0.036474508437578865, 0.2676165673298174, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      0.036474508437578865, 0.2676165673298174, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, 0.2676165673298174, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, 0.2676165673298174, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      0.036474508437578865, 0.2676165673298174, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      0.036474508437578865, 0.2676165673298174, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [
-      0.036474508437578865, 0.3097337018598083, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.036474508437578865, 0.3097337018598083, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.036474508437578865, 0.3097337018598083, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, -0.32274861218395146, -0.03898424277703902,
-      -0.015939944671115695,
-    ],
-    [
-      0.059016994374947424, -0.32274861218395146, 0.00568772436841493,
-      0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, -0.32274861218395146, 0.03329651840862409,
-      -0.02579137225665796,
-    ],
-    [
-      0.059016994374947424, -0.2546016570056744, -0.18003055817004382,
-      0.09331406144108957,
-    ],
-    [
-      0.059016994374947424, -0.2546016570056744, -0.13535859102458986,
-      0.1509853230399789,
-    ],
-    [
-      0.059016994374947424, -0.2546016570056744, -0.06307782983892674,
-      -0.19271663996775257,
-    ],
-    [
-      0.059016994374947424, -0.2546016570056744, 0.009202931346736387,
-      -0.20256806755329482,
-    ],
-    [
-      0.059016994374947424, -0.2546016570056744, 0.17082762682330743,
-      0.10925400611220526,
-    ],
-    [
-      0.059016994374947424, -0.2546016570056744, 0.1984364208635166,
-      0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, -0.2124845224756835, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      0.059016994374947424, -0.2124845224756835, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, -0.2124845224756835, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      0.059016994374947424, -0.14433756729740643, -0.291295562132746,
-      -0.015939944671115695,
-    ],
-    [
-      0.059016994374947424, -0.14433756729740643, -0.2190148009470828,
-      -0.19271663996775257,
-    ],
-    [
-      0.059016994374947424, -0.14433756729740643, -0.05739010547051179,
-      0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, -0.14433756729740643, 0.13184338404626839,
-      0.2602393291521842,
-    ],
-    [
-      0.059016994374947424, -0.14433756729740643, 0.15945217808647755,
-      -0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, -0.14433756729740643, 0.27640490641759463,
-      -0.09331406144108957,
-    ],
-    [
-      0.059016994374947424, -0.10222043276741558, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, -0.10222043276741558, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, -0.10222043276741558, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, -0.10222043276741558, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, -0.10222043276741558, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, -0.10222043276741558, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, -0.07619061211912939, -0.3153891491946337,
-      -0.02579137225665796,
-    ],
-    [
-      0.059016994374947424, -0.07619061211912939, -0.24310838800897056,
-      -0.20256806755329482,
-    ],
-    [
-      0.059016994374947424, -0.07619061211912939, -0.05387489849219034,
-      0.3118220736655001,
-    ],
-    [
-      0.059016994374947424, -0.07619061211912939, 0.13535859102458986,
-      0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, -0.07619061211912939, 0.18003055817004382,
-      -0.2602393291521842,
-    ],
-    [
-      0.059016994374947424, -0.07619061211912939, 0.2969832865011609,
-      -0.10925400611220526,
-    ],
-    [
-      0.059016994374947424, 0.07619061211912939, -0.2969832865011609,
-      0.10925400611220526,
-    ],
-    [
-      0.059016994374947424, 0.07619061211912939, -0.18003055817004382,
-      0.2602393291521842,
-    ],
-    [
-      0.059016994374947424, 0.07619061211912939, -0.13535859102458986,
-      -0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, 0.07619061211912939, 0.05387489849219034,
-      -0.3118220736655001,
-    ],
-    [
-      0.059016994374947424, 0.07619061211912939, 0.24310838800897056,
-      0.20256806755329482,
-    ],
-    [
-      0.059016994374947424, 0.07619061211912939, 0.3153891491946337,
-      0.02579137225665796,
-    ],
-    [
-      0.059016994374947424, 0.10222043276741558, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, 0.10222043276741558, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, 0.10222043276741558, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, 0.10222043276741558, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, 0.10222043276741558, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, 0.10222043276741558, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, 0.14433756729740643, -0.27640490641759463,
-      0.09331406144108957,
-    ],
-    [
-      0.059016994374947424, 0.14433756729740643, -0.15945217808647755,
-      0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, 0.14433756729740643, -0.13184338404626839,
-      -0.2602393291521842,
-    ],
-    [
-      0.059016994374947424, 0.14433756729740643, 0.05739010547051179,
-      -0.2860307014088421,
-    ],
-    [
-      0.059016994374947424, 0.14433756729740643, 0.2190148009470828,
-      0.19271663996775257,
-    ],
-    [
-      0.059016994374947424, 0.14433756729740643, 0.291295562132746,
-      0.015939944671115695,
-    ],
-    [
-      0.059016994374947424, 0.2124845224756835, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      0.059016994374947424, 0.2124845224756835, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      0.059016994374947424, 0.2124845224756835, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      0.059016994374947424, 0.2546016570056744, -0.1984364208635166,
-      -0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, 0.2546016570056744, -0.17082762682330743,
-      -0.10925400611220526,
-    ],
-    [
-      0.059016994374947424, 0.2546016570056744, -0.009202931346736387,
-      0.20256806755329482,
-    ],
-    [
-      0.059016994374947424, 0.2546016570056744, 0.06307782983892674,
-      0.19271663996775257,
-    ],
-    [
-      0.059016994374947424, 0.2546016570056744, 0.13535859102458986,
-      -0.1509853230399789,
-    ],
-    [
-      0.059016994374947424, 0.2546016570056744, 0.18003055817004382,
-      -0.09331406144108957,
-    ],
-    [
-      0.059016994374947424, 0.32274861218395146, -0.03329651840862409,
-      0.02579137225665796,
-    ],
-    [
-      0.059016994374947424, 0.32274861218395146, -0.00568772436841493,
-      -0.041731316927773654,
-    ],
-    [
-      0.059016994374947424, 0.32274861218395146, 0.03898424277703902,
-      0.015939944671115695,
-    ],
-    [0.09549150281252629, -0.301690044918956, -0.09637434824755081, 0.0],
-    [
-      0.09549150281252629, -0.301690044918956, -0.06876555420734165,
-      -0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, -0.301690044918956, -0.024093587061887703,
-      0.09331406144108957,
-    ],
-    [
-      0.09549150281252629, -0.301690044918956, 0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, -0.301690044918956, 0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, -0.301690044918956, 0.09285914126922937,
-      -0.02579137225665796,
-    ],
-    [
-      0.09549150281252629, -0.27566022427066983, -0.15024924673974116,
-      0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, -0.27566022427066983, -0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, -0.27566022427066983, -0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, -0.27566022427066983, 0.03898424277703902,
-      -0.1509853230399789,
-    ],
-    [
-      0.09549150281252629, -0.27566022427066983, 0.11126500396270214,
-      0.10925400611220526,
-    ],
-    [0.09549150281252629, -0.27566022427066983, 0.15593697110815607, 0.0],
-    [
-      0.09549150281252629, -0.23354308974067894, -0.20981186960034642,
-      0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, -0.12046793530943853,
-      -0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, -0.09285914126922937,
-      0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, 0.06876555420734165,
-      -0.20256806755329482,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, 0.14104631539300477,
-      0.16083675062552116,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, 0.2133270765786679,
-      -0.015939944671115695,
-    ],
-    [0.09549150281252629, -0.19142595521068806, -0.25231131935570694, 0.0],
-    [
-      0.09549150281252629, -0.19142595521068806, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, -0.19142595521068806, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, -0.19142595521068806, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, -0.19142595521068806, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, -0.19142595521068806, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, -0.2615142507024433,
-      -0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, -0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, -0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, -0.1892334895167802,
-      0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, -0.07228076118566312,
-      -0.2602393291521842,
-    ],
-    [0.09549150281252629, -0.16539613456240188, 0.0, -0.2700907567377264],
-    [0.09549150281252629, -0.16539613456240188, 0.0, 0.2700907567377264],
-    [
-      0.09549150281252629, -0.16539613456240188, 0.07228076118566312,
-      0.2602393291521842,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, 0.1892334895167802,
-      -0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, 0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, 0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, -0.16539613456240188, 0.2615142507024433,
-      0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, -0.12327900003241102, -0.27640490641759463,
-      0.09331406144108957,
-    ],
-    [
-      0.09549150281252629, -0.12327900003241102, -0.15945217808647755,
-      0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, -0.12327900003241102, -0.13184338404626839,
-      -0.2602393291521842,
-    ],
-    [
-      0.09549150281252629, -0.12327900003241102, 0.05739010547051179,
-      -0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, -0.12327900003241102, 0.2190148009470828,
-      0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, -0.12327900003241102, 0.291295562132746,
-      0.015939944671115695,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.2728896994392732,
-      -0.1509853230399789,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.00568772436841493,
-      0.3118220736655001,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.2672019750708582,
-      -0.16083675062552116,
-    ],
-    [0.09549150281252629, -0.05513204485413396, 0.31187394221631215, 0.0],
-    [
-      0.09549150281252629, -0.013014910324143092, -0.3153891491946337,
-      -0.02579137225665796,
-    ],
-    [
-      0.09549150281252629, -0.013014910324143092, -0.24310838800897056,
-      -0.20256806755329482,
-    ],
-    [
-      0.09549150281252629, -0.013014910324143092, -0.05387489849219034,
-      0.3118220736655001,
-    ],
-    [
-      0.09549150281252629, -0.013014910324143092, 0.13535859102458986,
-      0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, -0.013014910324143092, 0.18003055817004382,
-      -0.2602393291521842,
-    ],
-    [
-      0.09549150281252629, -0.013014910324143092, 0.2969832865011609,
-      -0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, 0.013014910324143092, -0.2969832865011609,
-      0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, 0.013014910324143092, -0.18003055817004382,
-      0.2602393291521842,
-    ],
-    [
-      0.09549150281252629, 0.013014910324143092, -0.13535859102458986,
-      -0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, 0.013014910324143092, 0.05387489849219034,
-      -0.3118220736655001,
-    ],
-    [
-      0.09549150281252629, 0.013014910324143092, 0.24310838800897056,
-      0.20256806755329482,
-    ],
-    [
-      0.09549150281252629, 0.013014910324143092, 0.3153891491946337,
-      0.02579137225665796,
-    ],
-    [0.09549150281252629, 0.05513204485413396, -0.31187394221631215, 0.0],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.2672019750708582,
-      0.16083675062552116,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.00568772436841493,
-      -0.3118220736655001,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.2728896994392732,
-      0.1509853230399789,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, 0.12327900003241102, -0.291295562132746,
-      -0.015939944671115695,
-    ],
-    [
-      0.09549150281252629, 0.12327900003241102, -0.2190148009470828,
-      -0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, 0.12327900003241102, -0.05739010547051179,
-      0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, 0.12327900003241102, 0.13184338404626839,
-      0.2602393291521842,
-    ],
-    [
-      0.09549150281252629, 0.12327900003241102, 0.15945217808647755,
-      -0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, 0.12327900003241102, 0.27640490641759463,
-      -0.09331406144108957,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, -0.2615142507024433,
-      -0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, -0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, -0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, -0.1892334895167802,
-      0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, -0.07228076118566312,
-      -0.2602393291521842,
-    ],
-    [0.09549150281252629, 0.16539613456240188, 0.0, -0.2700907567377264],
-    [0.09549150281252629, 0.16539613456240188, 0.0, 0.2700907567377264],
-    [
-      0.09549150281252629, 0.16539613456240188, 0.07228076118566312,
-      0.2602393291521842,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, 0.1892334895167802,
-      -0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, 0.23390545666223417,
-      -0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, 0.23390545666223417,
-      0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, 0.16539613456240188, 0.2615142507024433,
-      0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, 0.19142595521068806, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, 0.19142595521068806, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, 0.19142595521068806, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.09549150281252629, 0.19142595521068806, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, 0.19142595521068806, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [0.09549150281252629, 0.19142595521068806, 0.25231131935570694, 0.0],
-    [
-      0.09549150281252629, 0.23354308974067894, -0.2133270765786679,
-      0.015939944671115695,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, -0.14104631539300477,
-      -0.16083675062552116,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, -0.06876555420734165,
-      0.20256806755329482,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, 0.09285914126922937,
-      -0.19271663996775257,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, 0.12046793530943853,
-      0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, 0.20981186960034642,
-      -0.041731316927773654,
-    ],
-    [0.09549150281252629, 0.27566022427066983, -0.15593697110815607, 0.0],
-    [
-      0.09549150281252629, 0.27566022427066983, -0.11126500396270214,
-      -0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, 0.27566022427066983, -0.03898424277703902,
-      0.1509853230399789,
-    ],
-    [
-      0.09549150281252629, 0.27566022427066983, 0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, 0.27566022427066983, 0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      0.09549150281252629, 0.27566022427066983, 0.15024924673974116,
-      -0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, 0.301690044918956, -0.09285914126922937,
-      0.02579137225665796,
-    ],
-    [
-      0.09549150281252629, 0.301690044918956, -0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, 0.301690044918956, -0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      0.09549150281252629, 0.301690044918956, 0.024093587061887703,
-      -0.09331406144108957,
-    ],
-    [
-      0.09549150281252629, 0.301690044918956, 0.06876555420734165,
-      0.0675226891844316,
-    ],
-    [0.09549150281252629, 0.301690044918956, 0.09637434824755081, 0.0],
-    [
-      0.11803398874989485, -0.28867513459481287, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      0.11803398874989485, -0.17841104488654497, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      0.11803398874989485, -0.17841104488654497, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, -0.17841104488654497, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, -0.17841104488654497, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      0.11803398874989485, -0.17841104488654497, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [0.11803398874989485, -0.17841104488654497, 0.25231131935570694, 0.0],
-    [
-      0.11803398874989485, -0.11026408970826793, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      0.11803398874989485, -0.11026408970826793, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      0.11803398874989485, -0.11026408970826793, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [0.11803398874989485, 0.0, -0.30618621784789724, 0.041731316927773654],
-    [0.11803398874989485, 0.0, -0.1892334895167802, -0.24429938448106847],
-    [0.11803398874989485, 0.0, -0.11695272833111708, 0.2860307014088421],
-    [0.11803398874989485, 0.0, 0.11695272833111708, -0.2860307014088421],
-    [0.11803398874989485, 0.0, 0.1892334895167802, 0.24429938448106847],
-    [0.11803398874989485, 0.0, 0.30618621784789724, -0.041731316927773654],
-    [
-      0.11803398874989485, 0.11026408970826793, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      0.11803398874989485, 0.11026408970826793, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      0.11803398874989485, 0.11026408970826793, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [0.11803398874989485, 0.17841104488654497, -0.25231131935570694, 0.0],
-    [
-      0.11803398874989485, 0.17841104488654497, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      0.11803398874989485, 0.17841104488654497, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      0.11803398874989485, 0.17841104488654497, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, 0.17841104488654497, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, 0.17841104488654497, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, -0.11695272833111708,
-      0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, -0.07228076118566312,
-      -0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, -0.04467196714545396,
-      0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, 0.04467196714545396,
-      -0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, 0.07228076118566312,
-      0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, 0.11695272833111708,
-      -0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, -0.2133270765786679,
-      0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, -0.14104631539300477,
-      -0.16083675062552116,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, -0.06876555420734165,
-      0.20256806755329482,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, 0.09285914126922937,
-      -0.19271663996775257,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, 0.12046793530943853,
-      0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, 0.20981186960034642,
-      -0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, -0.15735247762154952, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, -0.15735247762154952, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, -0.15735247762154952, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      0.15450849718747373, -0.13132265697326334, -0.23742066364055558,
-      0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, -0.13132265697326334, -0.16513990245489246,
-      0.20256806755329482,
-    ],
-    [
-      0.15450849718747373, -0.13132265697326334, -0.09285914126922937,
-      -0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, -0.13132265697326334, 0.024093587061887703,
-      -0.2602393291521842,
-    ],
-    [
-      0.15450849718747373, -0.13132265697326334, 0.2133270765786679,
-      0.1509853230399789,
-    ],
-    [
-      0.15450849718747373, -0.13132265697326334, 0.25799904372412186,
-      0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, -0.04708838791328161, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, -0.04708838791328161, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      0.15450849718747373, -0.04708838791328161, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, -0.021058567264995436, -0.27640490641759463,
-      0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, -0.021058567264995436, -0.15945217808647755,
-      0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, -0.021058567264995436, -0.13184338404626839,
-      -0.2602393291521842,
-    ],
-    [
-      0.15450849718747373, -0.021058567264995436, 0.05739010547051179,
-      -0.2860307014088421,
-    ],
-    [
-      0.15450849718747373, -0.021058567264995436, 0.2190148009470828,
-      0.19271663996775257,
-    ],
-    [
-      0.15450849718747373, -0.021058567264995436, 0.291295562132746,
-      0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, 0.021058567264995436, -0.291295562132746,
-      -0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, 0.021058567264995436, -0.2190148009470828,
-      -0.19271663996775257,
-    ],
-    [
-      0.15450849718747373, 0.021058567264995436, -0.05739010547051179,
-      0.2860307014088421,
-    ],
-    [
-      0.15450849718747373, 0.021058567264995436, 0.13184338404626839,
-      0.2602393291521842,
-    ],
-    [
-      0.15450849718747373, 0.021058567264995436, 0.15945217808647755,
-      -0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, 0.021058567264995436, 0.27640490641759463,
-      -0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, 0.04708838791328161, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, 0.04708838791328161, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      0.15450849718747373, 0.04708838791328161, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, 0.13132265697326334, -0.25799904372412186,
-      -0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, 0.13132265697326334, -0.2133270765786679,
-      -0.1509853230399789,
-    ],
-    [
-      0.15450849718747373, 0.13132265697326334, -0.024093587061887703,
-      0.2602393291521842,
-    ],
-    [
-      0.15450849718747373, 0.13132265697326334, 0.09285914126922937,
-      0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, 0.13132265697326334, 0.16513990245489246,
-      -0.20256806755329482,
-    ],
-    [
-      0.15450849718747373, 0.13132265697326334, 0.23742066364055558,
-      -0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, 0.15735247762154952, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      0.15450849718747373, 0.15735247762154952, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, 0.15735247762154952, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, -0.20981186960034642,
-      0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, -0.12046793530943853,
-      -0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, -0.09285914126922937,
-      0.19271663996775257,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, 0.06876555420734165,
-      -0.20256806755329482,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, 0.14104631539300477,
-      0.16083675062552116,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, 0.2133270765786679,
-      -0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, -0.11695272833111708,
-      0.015939944671115695,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, -0.07228076118566312,
-      -0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, -0.04467196714545396,
-      0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, 0.04467196714545396,
-      -0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, 0.07228076118566312,
-      0.09331406144108957,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, 0.11695272833111708,
-      -0.015939944671115695,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [0.19098300562505258, -0.22052817941653585, -0.15593697110815607, 0.0],
-    [
-      0.19098300562505258, -0.22052817941653585, -0.11126500396270214,
-      -0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, -0.22052817941653585, -0.03898424277703902,
-      0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, -0.22052817941653585, 0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.22052817941653585, 0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.22052817941653585, 0.15024924673974116,
-      -0.041731316927773654,
-    ],
-    [
-      0.19098300562505258, -0.17841104488654497, -0.1984364208635166,
-      -0.041731316927773654,
-    ],
-    [
-      0.19098300562505258, -0.17841104488654497, -0.17082762682330743,
-      -0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, -0.17841104488654497, -0.009202931346736387,
-      0.20256806755329482,
-    ],
-    [
-      0.19098300562505258, -0.17841104488654497, 0.06307782983892674,
-      0.19271663996775257,
-    ],
-    [
-      0.19098300562505258, -0.17841104488654497, 0.13535859102458986,
-      -0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, -0.17841104488654497, 0.18003055817004382,
-      -0.09331406144108957,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      0.19098300562505258, -0.06814695517827704, -0.23742066364055558,
-      0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, -0.06814695517827704, -0.16513990245489246,
-      0.20256806755329482,
-    ],
-    [
-      0.19098300562505258, -0.06814695517827704, -0.09285914126922937,
-      -0.24429938448106847,
-    ],
-    [
-      0.19098300562505258, -0.06814695517827704, 0.024093587061887703,
-      -0.2602393291521842,
-    ],
-    [
-      0.19098300562505258, -0.06814695517827704, 0.2133270765786679,
-      0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, -0.06814695517827704, 0.25799904372412186,
-      0.041731316927773654,
-    ],
-    [0.19098300562505258, 0.0, -0.2615142507024433, -0.0675226891844316],
-    [0.19098300562505258, 0.0, -0.23390545666223417, -0.1350453783688632],
-    [0.19098300562505258, 0.0, -0.23390545666223417, 0.1350453783688632],
-    [0.19098300562505258, 0.0, -0.1892334895167802, 0.19271663996775257],
-    [0.19098300562505258, 0.0, -0.07228076118566312, -0.2602393291521842],
-    [0.19098300562505258, 0.0, 0.0, -0.2700907567377264],
-    [0.19098300562505258, 0.0, 0.0, 0.2700907567377264],
-    [0.19098300562505258, 0.0, 0.07228076118566312, 0.2602393291521842],
-    [0.19098300562505258, 0.0, 0.1892334895167802, -0.19271663996775257],
-    [0.19098300562505258, 0.0, 0.23390545666223417, -0.1350453783688632],
-    [0.19098300562505258, 0.0, 0.23390545666223417, 0.1350453783688632],
-    [0.19098300562505258, 0.0, 0.2615142507024433, 0.0675226891844316],
-    [
-      0.19098300562505258, 0.06814695517827704, -0.25799904372412186,
-      -0.041731316927773654,
-    ],
-    [
-      0.19098300562505258, 0.06814695517827704, -0.2133270765786679,
-      -0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, 0.06814695517827704, -0.024093587061887703,
-      0.2602393291521842,
-    ],
-    [
-      0.19098300562505258, 0.06814695517827704, 0.09285914126922937,
-      0.24429938448106847,
-    ],
-    [
-      0.19098300562505258, 0.06814695517827704, 0.16513990245489246,
-      -0.20256806755329482,
-    ],
-    [
-      0.19098300562505258, 0.06814695517827704, 0.23742066364055558,
-      -0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, 0.17841104488654497, -0.18003055817004382,
-      0.09331406144108957,
-    ],
-    [
-      0.19098300562505258, 0.17841104488654497, -0.13535859102458986,
-      0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, 0.17841104488654497, -0.06307782983892674,
-      -0.19271663996775257,
-    ],
-    [
-      0.19098300562505258, 0.17841104488654497, 0.009202931346736387,
-      -0.20256806755329482,
-    ],
-    [
-      0.19098300562505258, 0.17841104488654497, 0.17082762682330743,
-      0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, 0.17841104488654497, 0.1984364208635166,
-      0.041731316927773654,
-    ],
-    [
-      0.19098300562505258, 0.22052817941653585, -0.15024924673974116,
-      0.041731316927773654,
-    ],
-    [
-      0.19098300562505258, 0.22052817941653585, -0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.22052817941653585, -0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.22052817941653585, 0.03898424277703902,
-      -0.1509853230399789,
-    ],
-    [
-      0.19098300562505258, 0.22052817941653585, 0.11126500396270214,
-      0.10925400611220526,
-    ],
-    [0.19098300562505258, 0.22052817941653585, 0.15593697110815607, 0.0],
-    [
-      0.19098300562505258, 0.24655800006482204, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      0.21352549156242112, -0.23354308974067894, -0.09285914126922937,
-      0.02579137225665796,
-    ],
-    [
-      0.21352549156242112, -0.23354308974067894, -0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, -0.23354308974067894, -0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, -0.23354308974067894, 0.024093587061887703,
-      -0.09331406144108957,
-    ],
-    [
-      0.21352549156242112, -0.23354308974067894, 0.06876555420734165,
-      0.0675226891844316,
-    ],
-    [0.21352549156242112, -0.23354308974067894, 0.09637434824755081, 0.0],
-    [
-      0.21352549156242112, -0.16539613456240188, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      0.21352549156242112, -0.16539613456240188, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      0.21352549156242112, -0.16539613456240188, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, -0.16539613456240188, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, -0.16539613456240188, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      0.21352549156242112, -0.16539613456240188, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, -0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, -0.13184338404626839,
-      0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, -0.08717141690081442,
-      -0.20256806755329482,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, 0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, 0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      0.21352549156242112, -0.12327900003241102, 0.2190148009470828,
-      0.02579137225665796,
-    ],
-    [
-      0.21352549156242112, -0.05513204485413396, -0.2282177322938192,
-      -0.09331406144108957,
-    ],
-    [
-      0.21352549156242112, -0.05513204485413396, 0.03329651840862409,
-      0.24429938448106847,
-    ],
-    [
-      0.21352549156242112, -0.05513204485413396, 0.19492121388519512,
-      -0.1509853230399789,
-    ],
-    [
-      0.21352549156242112, -0.013014910324143092, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      0.21352549156242112, -0.013014910324143092, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, -0.013014910324143092, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, -0.013014910324143092, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      0.21352549156242112, -0.013014910324143092, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [0.21352549156242112, -0.013014910324143092, 0.25231131935570694, 0.0],
-    [0.21352549156242112, 0.013014910324143092, -0.25231131935570694, 0.0],
-    [
-      0.21352549156242112, 0.013014910324143092, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, 0.013014910324143092, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      0.21352549156242112, 0.013014910324143092, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, 0.013014910324143092, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, 0.013014910324143092, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      0.21352549156242112, 0.05513204485413396, -0.19492121388519512,
-      0.1509853230399789,
-    ],
-    [
-      0.21352549156242112, 0.05513204485413396, -0.03329651840862409,
-      -0.24429938448106847,
-    ],
-    [
-      0.21352549156242112, 0.05513204485413396, 0.2282177322938192,
-      0.09331406144108957,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, -0.2190148009470828,
-      -0.02579137225665796,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, -0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, -0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, 0.08717141690081442,
-      0.20256806755329482,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, 0.13184338404626839,
-      -0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, 0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, 0.12327900003241102, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, 0.16539613456240188, -0.1892334895167802,
-      0.02579137225665796,
-    ],
-    [
-      0.21352549156242112, 0.16539613456240188, -0.11695272833111708,
-      -0.1509853230399789,
-    ],
-    [
-      0.21352549156242112, 0.16539613456240188, -0.07228076118566312,
-      0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, 0.16539613456240188, 0.07228076118566312,
-      -0.17677669529663687,
-    ],
-    [
-      0.21352549156242112, 0.16539613456240188, 0.11695272833111708,
-      0.1509853230399789,
-    ],
-    [
-      0.21352549156242112, 0.16539613456240188, 0.1892334895167802,
-      -0.02579137225665796,
-    ],
-    [0.21352549156242112, 0.23354308974067894, -0.09637434824755081, 0.0],
-    [
-      0.21352549156242112, 0.23354308974067894, -0.06876555420734165,
-      -0.0675226891844316,
-    ],
-    [
-      0.21352549156242112, 0.23354308974067894, -0.024093587061887703,
-      0.09331406144108957,
-    ],
-    [
-      0.21352549156242112, 0.23354308974067894, 0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, 0.23354308974067894, 0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      0.21352549156242112, 0.23354308974067894, 0.09285914126922937,
-      -0.02579137225665796,
-    ],
-    [0.25, -0.2124845224756835, -0.03329651840862409, 0.02579137225665796],
-    [0.25, -0.2124845224756835, -0.00568772436841493, -0.041731316927773654],
-    [0.25, -0.2124845224756835, 0.03898424277703902, 0.015939944671115695],
-    [0.25, -0.18645470182739732, -0.08717141690081442, 0.0675226891844316],
-    [0.25, -0.18645470182739732, -0.01489065571515132, -0.10925400611220526],
-    [0.25, -0.18645470182739732, 0.10206207261596575, 0.041731316927773654],
-    [0.25, -0.14433756729740643, -0.1467340397614197, 0.0675226891844316],
-    [0.25, -0.14433756729740643, -0.10206207261596575, 0.12519395078332096],
-    [0.25, -0.14433756729740643, -0.05739010547051179, -0.1509853230399789],
-    [0.25, -0.14433756729740643, 0.01489065571515132, -0.16083675062552116],
-    [0.25, -0.14433756729740643, 0.13184338404626839, 0.09331406144108957],
-    [0.25, -0.14433756729740643, 0.15945217808647755, 0.02579137225665796],
-    [0.25, -0.10222043276741558, -0.1892334895167802, 0.02579137225665796],
-    [0.25, -0.10222043276741558, -0.11695272833111708, -0.1509853230399789],
-    [0.25, -0.10222043276741558, -0.07228076118566312, 0.17677669529663687],
-    [0.25, -0.10222043276741558, 0.07228076118566312, -0.17677669529663687],
-    [0.25, -0.10222043276741558, 0.11695272833111708, 0.1509853230399789],
-    [0.25, -0.10222043276741558, 0.1892334895167802, -0.02579137225665796],
-    [0.25, -0.07619061211912939, -0.1984364208635166, -0.041731316927773654],
-    [0.25, -0.07619061211912939, -0.17082762682330743, -0.10925400611220526],
-    [0.25, -0.07619061211912939, -0.009202931346736387, 0.20256806755329482],
-    [0.25, -0.07619061211912939, 0.06307782983892674, 0.19271663996775257],
-    [0.25, -0.07619061211912939, 0.13535859102458986, -0.1509853230399789],
-    [0.25, -0.07619061211912939, 0.18003055817004382, -0.09331406144108957],
-    [0.25, -0.03407347758913852, -0.2133270765786679, 0.015939944671115695],
-    [0.25, -0.03407347758913852, -0.14104631539300477, -0.16083675062552116],
-    [0.25, -0.03407347758913852, -0.06876555420734165, 0.20256806755329482],
-    [0.25, -0.03407347758913852, 0.09285914126922937, -0.19271663996775257],
-    [0.25, -0.03407347758913852, 0.12046793530943853, 0.17677669529663687],
-    [0.25, -0.03407347758913852, 0.20981186960034642, -0.041731316927773654],
-    [0.25, 0.03407347758913852, -0.20981186960034642, 0.041731316927773654],
-    [0.25, 0.03407347758913852, -0.12046793530943853, -0.17677669529663687],
-    [0.25, 0.03407347758913852, -0.09285914126922937, 0.19271663996775257],
-    [0.25, 0.03407347758913852, 0.06876555420734165, -0.20256806755329482],
-    [0.25, 0.03407347758913852, 0.14104631539300477, 0.16083675062552116],
-    [0.25, 0.03407347758913852, 0.2133270765786679, -0.015939944671115695],
-    [0.25, 0.07619061211912939, -0.18003055817004382, 0.09331406144108957],
-    [0.25, 0.07619061211912939, -0.13535859102458986, 0.1509853230399789],
-    [0.25, 0.07619061211912939, -0.06307782983892674, -0.19271663996775257],
-    [0.25, 0.07619061211912939, 0.009202931346736387, -0.20256806755329482],
-    [0.25, 0.07619061211912939, 0.17082762682330743, 0.10925400611220526],
-    [0.25, 0.07619061211912939, 0.1984364208635166, 0.041731316927773654],
-    [0.25, 0.10222043276741558, -0.1892334895167802, 0.02579137225665796],
-    [0.25, 0.10222043276741558, -0.11695272833111708, -0.1509853230399789],
-    [0.25, 0.10222043276741558, -0.07228076118566312, 0.17677669529663687],
-    [0.25, 0.10222043276741558, 0.07228076118566312, -0.17677669529663687],
-    [0.25, 0.10222043276741558, 0.11695272833111708, 0.1509853230399789],
-    [0.25, 0.10222043276741558, 0.1892334895167802, -0.02579137225665796],
-    [0.25, 0.14433756729740643, -0.15945217808647755, -0.02579137225665796],
-    [0.25, 0.14433756729740643, -0.13184338404626839, -0.09331406144108957],
-    [0.25, 0.14433756729740643, -0.01489065571515132, 0.16083675062552116],
-    [0.25, 0.14433756729740643, 0.05739010547051179, 0.1509853230399789],
-    [0.25, 0.14433756729740643, 0.10206207261596575, -0.12519395078332096],
-    [0.25, 0.14433756729740643, 0.1467340397614197, -0.0675226891844316],
-    [0.25, 0.18645470182739732, -0.10206207261596575, -0.041731316927773654],
-    [0.25, 0.18645470182739732, 0.01489065571515132, 0.10925400611220526],
-    [0.25, 0.18645470182739732, 0.08717141690081442, -0.0675226891844316],
-    [0.25, 0.2124845224756835, -0.03898424277703902, -0.015939944671115695],
-    [0.25, 0.2124845224756835, 0.00568772436841493, 0.041731316927773654],
-    [0.25, 0.2124845224756835, 0.03329651840862409, -0.02579137225665796],
-    [0.2864745084375788, -0.16539613456240188, 0.0, 0.0],
-    [
-      0.2864745084375788, -0.12327900003241102, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.2864745084375788, -0.12327900003241102, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.2864745084375788, -0.12327900003241102, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [0.2864745084375788, -0.05513204485413396, -0.15593697110815607, 0.0],
-    [
-      0.2864745084375788, -0.05513204485413396, -0.11126500396270214,
-      -0.10925400611220526,
-    ],
-    [
-      0.2864745084375788, -0.05513204485413396, -0.03898424277703902,
-      0.1509853230399789,
-    ],
-    [
-      0.2864745084375788, -0.05513204485413396, 0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      0.2864745084375788, -0.05513204485413396, 0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      0.2864745084375788, -0.05513204485413396, 0.15024924673974116,
-      -0.041731316927773654,
-    ],
-    [
-      0.2864745084375788, 0.05513204485413396, -0.15024924673974116,
-      0.041731316927773654,
-    ],
-    [
-      0.2864745084375788, 0.05513204485413396, -0.07796848555407804,
-      -0.1350453783688632,
-    ],
-    [
-      0.2864745084375788, 0.05513204485413396, -0.07796848555407804,
-      0.1350453783688632,
-    ],
-    [
-      0.2864745084375788, 0.05513204485413396, 0.03898424277703902,
-      -0.1509853230399789,
-    ],
-    [
-      0.2864745084375788, 0.05513204485413396, 0.11126500396270214,
-      0.10925400611220526,
-    ],
-    [0.2864745084375788, 0.05513204485413396, 0.15593697110815607, 0.0],
-    [
-      0.2864745084375788, 0.12327900003241102, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.2864745084375788, 0.12327900003241102, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.2864745084375788, 0.12327900003241102, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [0.2864745084375788, 0.16539613456240188, 0.0, 0.0],
-    [
-      0.30901699437494745, -0.11026408970826793, -0.03329651840862409,
-      0.02579137225665796,
-    ],
-    [
-      0.30901699437494745, -0.11026408970826793, -0.00568772436841493,
-      -0.041731316927773654,
-    ],
-    [
-      0.30901699437494745, -0.11026408970826793, 0.03898424277703902,
-      0.015939944671115695,
-    ],
-    [
-      0.30901699437494745, -0.06814695517827704, -0.09285914126922937,
-      0.02579137225665796,
-    ],
-    [
-      0.30901699437494745, -0.06814695517827704, -0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.06814695517827704, -0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.06814695517827704, 0.024093587061887703,
-      -0.09331406144108957,
-    ],
-    [
-      0.30901699437494745, -0.06814695517827704, 0.06876555420734165,
-      0.0675226891844316,
-    ],
-    [0.30901699437494745, -0.06814695517827704, 0.09637434824755081, 0.0],
-    [
-      0.30901699437494745, -0.04211713452999087, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [0.30901699437494745, 0.0, -0.11695272833111708, 0.015939944671115695],
-    [0.30901699437494745, 0.0, -0.07228076118566312, -0.09331406144108957],
-    [0.30901699437494745, 0.0, -0.04467196714545396, 0.10925400611220526],
-    [0.30901699437494745, 0.0, 0.04467196714545396, -0.10925400611220526],
-    [0.30901699437494745, 0.0, 0.07228076118566312, 0.09331406144108957],
-    [0.30901699437494745, 0.0, 0.11695272833111708, -0.015939944671115695],
-    [
-      0.30901699437494745, 0.04211713452999087, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [0.30901699437494745, 0.06814695517827704, -0.09637434824755081, 0.0],
-    [
-      0.30901699437494745, 0.06814695517827704, -0.06876555420734165,
-      -0.0675226891844316,
-    ],
-    [
-      0.30901699437494745, 0.06814695517827704, -0.024093587061887703,
-      0.09331406144108957,
-    ],
-    [
-      0.30901699437494745, 0.06814695517827704, 0.048187174123775406,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.06814695517827704, 0.048187174123775406,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.06814695517827704, 0.09285914126922937,
-      -0.02579137225665796,
-    ],
-    [
-      0.30901699437494745, 0.11026408970826793, -0.03898424277703902,
-      -0.015939944671115695,
-    ],
-    [
-      0.30901699437494745, 0.11026408970826793, 0.00568772436841493,
-      0.041731316927773654,
-    ],
-    [
-      0.30901699437494745, 0.11026408970826793, 0.03329651840862409,
-      -0.02579137225665796,
-    ],
-  ],
-  faces: [
-    [27, 28, 29],
-    [20, 25, 28, 29, 26],
-    [19, 22, 27, 29, 24],
-    [24, 26, 29],
-    [18, 21, 27, 28, 23],
-    [23, 25, 28],
-    [21, 22, 27],
-    [11, 15, 24, 26, 17],
-    [17, 20, 26],
-    [10, 14, 23, 25, 16],
-    [16, 20, 25],
-    [15, 19, 24],
-    [14, 18, 23],
-    [9, 12, 21, 22, 13],
-    [13, 19, 22],
-    [12, 18, 21],
-    [7, 8, 17, 20, 16],
-    [4, 6, 15, 19, 13],
-    [3, 5, 14, 18, 12],
-    [8, 11, 17],
-    [7, 10, 16],
-    [6, 11, 15],
-    [5, 10, 14],
-    [4, 9, 13],
-    [3, 9, 12],
-    [1, 2, 8, 11, 6],
-    [0, 2, 7, 10, 5],
-    [0, 1, 4, 9, 3],
-    [2, 7, 8],
-    [1, 4, 6],
-    [0, 3, 5],
-    [0, 1, 2],
-    [0, 2, 30],
-    [1, 2, 30],
-    [0, 1, 30],
-    [0, 3, 31],
-    [0, 5, 31],
-    [3, 5, 31],
-    [4, 6, 32],
-    [1, 4, 32],
-    [1, 6, 32],
-    [2, 8, 33],
-    [2, 7, 33],
-    [7, 8, 33],
-    [3, 12, 34],
-    [9, 12, 34],
-    [3, 9, 34],
-    [4, 13, 35],
-    [4, 9, 35],
-    [9, 13, 35],
-    [10, 14, 36],
-    [5, 10, 36],
-    [5, 14, 36],
-    [6, 15, 37],
-    [6, 11, 37],
-    [11, 15, 37],
-    [10, 16, 38],
-    [7, 16, 38],
-    [7, 10, 38],
-    [8, 17, 39],
-    [11, 17, 39],
-    [8, 11, 39],
-    [12, 21, 40],
-    [12, 18, 40],
-    [18, 21, 40],
-    [13, 19, 41],
-    [13, 22, 41],
-    [19, 22, 41],
-    [14, 23, 42],
-    [18, 23, 42],
-    [14, 18, 42],
-    [15, 19, 43],
-    [15, 24, 43],
-    [19, 24, 43],
-    [16, 25, 44],
-    [20, 25, 44],
-    [16, 20, 44],
-    [17, 26, 45],
-    [17, 20, 45],
-    [20, 26, 45],
-    [21, 27, 46],
-    [22, 27, 46],
-    [21, 22, 46],
-    [23, 25, 47],
-    [25, 28, 47],
-    [23, 28, 47],
-    [26, 29, 48],
-    [24, 26, 48],
-    [24, 29, 48],
-    [27, 29, 49],
-    [27, 28, 49],
-    [28, 29, 49],
-    [170, 173, 179, 180, 174],
-    [122, 179, 180],
-    [117, 174, 180],
-    [63, 69, 122, 180, 117],
-    [116, 173, 179],
-    [62, 68, 122, 179, 116],
-    [111, 170, 174],
-    [54, 58, 117, 174, 111],
-    [110, 170, 173],
-    [53, 56, 116, 173, 110],
-    [50, 51, 111, 170, 110],
-    [68, 69, 122],
-    [58, 63, 117],
-    [56, 62, 116],
-    [51, 54, 111],
-    [50, 53, 110],
-    [9, 34, 68, 69, 35],
-    [35, 63, 69],
-    [34, 62, 68],
-    [4, 32, 58, 63, 35],
-    [3, 31, 56, 62, 34],
-    [32, 54, 58],
-    [31, 53, 56],
-    [1, 30, 51, 54, 32],
-    [0, 30, 50, 53, 31],
-    [30, 50, 51],
-    [171, 175, 181, 182, 177],
-    [127, 181, 182],
-    [120, 177, 182],
-    [66, 71, 127, 182, 120],
-    [118, 175, 181],
-    [64, 70, 127, 181, 118],
-    [114, 171, 177],
-    [55, 60, 120, 177, 114],
-    [112, 171, 175],
-    [53, 57, 118, 175, 112],
-    [50, 52, 114, 171, 112],
-    [70, 71, 127],
-    [60, 66, 120],
-    [57, 64, 118],
-    [52, 55, 114],
-    [50, 53, 112],
-    [10, 36, 70, 71, 38],
-    [38, 66, 71],
-    [36, 64, 70],
-    [7, 33, 60, 66, 38],
-    [5, 31, 57, 64, 36],
-    [33, 55, 60],
-    [31, 53, 57],
-    [2, 30, 52, 55, 33],
-    [30, 50, 52],
-    [172, 176, 183, 184, 178],
-    [128, 183, 184],
-    [121, 178, 184],
-    [67, 73, 128, 184, 121],
-    [119, 176, 183],
-    [65, 72, 128, 183, 119],
-    [115, 172, 178],
-    [55, 61, 121, 178, 115],
-    [113, 172, 176],
-    [54, 59, 119, 176, 113],
-    [51, 52, 115, 172, 113],
-    [72, 73, 128],
-    [61, 67, 121],
-    [59, 65, 119],
-    [52, 55, 115],
-    [51, 54, 113],
-    [11, 37, 72, 73, 39],
-    [39, 67, 73],
-    [37, 65, 72],
-    [8, 33, 61, 67, 39],
-    [6, 32, 59, 65, 37],
-    [33, 55, 61],
-    [32, 54, 59],
-    [30, 51, 52],
-    [185, 188, 196, 197, 189],
-    [146, 196, 197],
-    [136, 189, 197],
-    [82, 87, 146, 197, 136],
-    [134, 188, 196],
-    [80, 86, 146, 196, 134],
-    [124, 185, 189],
-    [64, 76, 136, 189, 124],
-    [123, 185, 188],
-    [62, 74, 134, 188, 123],
-    [56, 57, 124, 185, 123],
-    [86, 87, 146],
-    [76, 82, 136],
-    [74, 80, 134],
-    [57, 64, 124],
-    [56, 62, 123],
-    [18, 40, 86, 87, 42],
-    [42, 82, 87],
-    [40, 80, 86],
-    [14, 36, 76, 82, 42],
-    [12, 34, 74, 80, 40],
-    [36, 64, 76],
-    [34, 62, 74],
-    [31, 56, 57],
-    [186, 190, 198, 199, 191],
-    [147, 198, 199],
-    [137, 191, 199],
-    [83, 89, 147, 199, 137],
-    [135, 190, 198],
-    [81, 88, 147, 198, 135],
-    [126, 186, 191],
-    [65, 77, 137, 191, 126],
-    [125, 186, 190],
-    [63, 75, 135, 190, 125],
-    [58, 59, 126, 186, 125],
-    [88, 89, 147],
-    [77, 83, 137],
-    [75, 81, 135],
-    [59, 65, 126],
-    [58, 63, 125],
-    [19, 41, 88, 89, 43],
-    [43, 83, 89],
-    [41, 81, 88],
-    [15, 37, 77, 83, 43],
-    [13, 35, 75, 81, 41],
-    [37, 65, 77],
-    [35, 63, 75],
-    [32, 58, 59],
-    [187, 192, 204, 205, 193],
-    [148, 204, 205],
-    [139, 193, 205],
-    [85, 91, 148, 205, 139],
-    [138, 192, 204],
-    [84, 90, 148, 204, 138],
-    [130, 187, 193],
-    [67, 79, 139, 193, 130],
-    [129, 187, 192],
-    [66, 78, 138, 192, 129],
-    [60, 61, 130, 187, 129],
-    [90, 91, 148],
-    [79, 85, 139],
-    [78, 84, 138],
-    [61, 67, 130],
-    [60, 66, 129],
-    [20, 44, 90, 91, 45],
-    [45, 85, 91],
-    [44, 84, 90],
-    [17, 39, 79, 85, 45],
-    [16, 38, 78, 84, 44],
-    [39, 67, 79],
-    [38, 66, 78],
-    [33, 60, 61],
-    [194, 195, 207, 212, 206],
-    [150, 207, 212],
-    [149, 206, 212],
-    [98, 99, 150, 212, 149],
-    [141, 195, 207],
-    [81, 93, 150, 207, 141],
-    [140, 194, 206],
-    [80, 92, 149, 206, 140],
-    [131, 194, 195],
-    [69, 75, 141, 195, 131],
-    [68, 74, 140, 194, 131],
-    [93, 99, 150],
-    [92, 98, 149],
-    [75, 81, 141],
-    [74, 80, 140],
-    [68, 69, 131],
-    [46, 98, 99],
-    [22, 41, 93, 99, 46],
-    [21, 40, 92, 98, 46],
-    [41, 81, 93],
-    [40, 80, 92],
-    [35, 69, 75],
-    [34, 68, 74],
-    [200, 201, 209, 213, 208],
-    [154, 209, 213],
-    [153, 208, 213],
-    [100, 101, 154, 213, 153],
-    [144, 201, 209],
-    [84, 96, 154, 209, 144],
-    [142, 200, 208],
-    [82, 94, 153, 208, 142],
-    [132, 200, 201],
-    [71, 78, 144, 201, 132],
-    [70, 76, 142, 200, 132],
-    [96, 101, 154],
-    [94, 100, 153],
-    [78, 84, 144],
-    [76, 82, 142],
-    [70, 71, 132],
-    [47, 100, 101],
-    [25, 44, 96, 101, 47],
-    [23, 42, 94, 100, 47],
-    [44, 84, 96],
-    [42, 82, 94],
-    [38, 71, 78],
-    [36, 70, 76],
-    [202, 203, 211, 214, 210],
-    [156, 211, 214],
-    [155, 210, 214],
-    [102, 103, 156, 214, 155],
-    [145, 203, 211],
-    [85, 97, 156, 211, 145],
-    [143, 202, 210],
-    [83, 95, 155, 210, 143],
-    [133, 202, 203],
-    [73, 79, 145, 203, 133],
-    [72, 77, 143, 202, 133],
-    [97, 103, 156],
-    [95, 102, 155],
-    [79, 85, 145],
-    [77, 83, 143],
-    [72, 73, 133],
-    [48, 102, 103],
-    [26, 45, 97, 103, 48],
-    [24, 43, 95, 102, 48],
-    [45, 85, 97],
-    [43, 83, 95],
-    [39, 73, 79],
-    [37, 72, 77],
-    [215, 216, 223, 227, 221],
-    [166, 223, 227],
-    [164, 221, 227],
-    [107, 108, 166, 227, 164],
-    [160, 216, 223],
-    [100, 105, 166, 223, 160],
-    [158, 215, 221],
-    [98, 104, 164, 221, 158],
-    [151, 215, 216],
-    [87, 94, 160, 216, 151],
-    [86, 92, 158, 215, 151],
-    [105, 108, 166],
-    [104, 107, 164],
-    [94, 100, 160],
-    [92, 98, 158],
-    [86, 87, 151],
-    [49, 107, 108],
-    [28, 47, 105, 108, 49],
-    [27, 46, 104, 107, 49],
-    [47, 100, 105],
-    [46, 98, 104],
-    [42, 87, 94],
-    [40, 86, 92],
-    [217, 218, 224, 228, 222],
-    [167, 224, 228],
-    [165, 222, 228],
-    [107, 109, 167, 228, 165],
-    [161, 218, 224],
-    [102, 106, 167, 224, 161],
-    [159, 217, 222],
-    [99, 104, 165, 222, 159],
-    [152, 217, 218],
-    [89, 95, 161, 218, 152],
-    [88, 93, 159, 217, 152],
-    [106, 109, 167],
-    [104, 107, 165],
-    [95, 102, 161],
-    [93, 99, 159],
-    [88, 89, 152],
-    [49, 107, 109],
-    [29, 48, 106, 109, 49],
-    [48, 102, 106],
-    [46, 99, 104],
-    [43, 89, 95],
-    [41, 88, 93],
-    [219, 220, 226, 229, 225],
-    [169, 226, 229],
-    [168, 225, 229],
-    [108, 109, 169, 229, 168],
-    [163, 220, 226],
-    [103, 106, 169, 226, 163],
-    [162, 219, 225],
-    [101, 105, 168, 225, 162],
-    [157, 219, 220],
-    [91, 97, 163, 220, 157],
-    [90, 96, 162, 219, 157],
-    [106, 109, 169],
-    [105, 108, 168],
-    [97, 103, 163],
-    [96, 101, 162],
-    [90, 91, 157],
-    [49, 108, 109],
-    [48, 103, 106],
-    [47, 101, 105],
-    [45, 91, 97],
-    [44, 90, 96],
-    [50, 51, 52],
-    [53, 56, 57],
-    [54, 58, 59],
-    [55, 60, 61],
-    [62, 68, 74],
-    [63, 69, 75],
-    [64, 70, 76],
-    [65, 72, 77],
-    [66, 71, 78],
-    [67, 73, 79],
-    [80, 86, 92],
-    [81, 88, 93],
-    [82, 87, 94],
-    [83, 89, 95],
-    [84, 90, 96],
-    [85, 91, 97],
-    [98, 99, 104],
-    [100, 101, 105],
-    [102, 103, 106],
-    [107, 108, 109],
-    [53, 110, 112],
-    [50, 110, 112],
-    [54, 111, 113],
-    [51, 111, 113],
-    [55, 114, 115],
-    [52, 114, 115],
-    [56, 116, 123],
-    [62, 116, 123],
-    [58, 117, 125],
-    [63, 117, 125],
-    [64, 118, 124],
-    [57, 118, 124],
-    [65, 119, 126],
-    [59, 119, 126],
-    [66, 120, 129],
-    [60, 120, 129],
-    [61, 121, 130],
-    [67, 121, 130],
-    [69, 122, 131],
-    [68, 122, 131],
-    [70, 127, 132],
-    [71, 127, 132],
-    [72, 128, 133],
-    [73, 128, 133],
-    [80, 134, 140],
-    [74, 134, 140],
-    [81, 135, 141],
-    [75, 135, 141],
-    [76, 136, 142],
-    [82, 136, 142],
-    [83, 137, 143],
-    [77, 137, 143],
-    [78, 138, 144],
-    [84, 138, 144],
-    [79, 139, 145],
-    [85, 139, 145],
-    [87, 146, 151],
-    [86, 146, 151],
-    [89, 147, 152],
-    [88, 147, 152],
-    [90, 148, 157],
-    [91, 148, 157],
-    [92, 149, 158],
-    [98, 149, 158],
-    [93, 150, 159],
-    [99, 150, 159],
-    [94, 153, 160],
-    [100, 153, 160],
-    [95, 155, 161],
-    [102, 155, 161],
-    [96, 154, 162],
-    [101, 154, 162],
-    [103, 156, 163],
-    [97, 156, 163],
-    [104, 164, 165],
-    [107, 164, 165],
-    [105, 166, 168],
-    [108, 166, 168],
-    [106, 167, 169],
-    [109, 167, 169],
-    [110, 173, 230],
-    [110, 170, 230],
-    [170, 173, 230],
-    [111, 174, 231],
-    [111, 170, 231],
-    [170, 174, 231],
-    [112, 171, 232],
-    [171, 175, 232],
-    [112, 175, 232],
-    [113, 172, 233],
-    [113, 176, 233],
-    [172, 176, 233],
-    [114, 171, 234],
-    [114, 177, 234],
-    [171, 177, 234],
-    [115, 178, 235],
-    [115, 172, 235],
-    [172, 178, 235],
-    [116, 173, 236],
-    [116, 179, 236],
-    [173, 179, 236],
-    [117, 174, 237],
-    [117, 180, 237],
-    [174, 180, 237],
-    [118, 181, 238],
-    [118, 175, 238],
-    [175, 181, 238],
-    [119, 183, 239],
-    [119, 176, 239],
-    [176, 183, 239],
-    [120, 177, 240],
-    [120, 182, 240],
-    [177, 182, 240],
-    [121, 178, 241],
-    [121, 184, 241],
-    [178, 184, 241],
-    [122, 180, 242],
-    [122, 179, 242],
-    [179, 180, 242],
-    [127, 181, 243],
-    [127, 182, 243],
-    [181, 182, 243],
-    [128, 183, 244],
-    [128, 184, 244],
-    [183, 184, 244],
-    [123, 188, 245],
-    [185, 188, 245],
-    [123, 185, 245],
-    [124, 189, 246],
-    [124, 185, 246],
-    [185, 189, 246],
-    [125, 186, 247],
-    [125, 190, 247],
-    [186, 190, 247],
-    [126, 191, 248],
-    [126, 186, 248],
-    [186, 191, 248],
-    [129, 192, 249],
-    [129, 187, 249],
-    [187, 192, 249],
-    [130, 193, 250],
-    [130, 187, 250],
-    [187, 193, 250],
-    [131, 194, 251],
-    [131, 195, 251],
-    [194, 195, 251],
-    [134, 188, 254],
-    [134, 196, 254],
-    [188, 196, 254],
-    [136, 189, 255],
-    [136, 197, 255],
-    [189, 197, 255],
-    [135, 190, 256],
-    [135, 198, 256],
-    [190, 198, 256],
-    [137, 191, 257],
-    [191, 199, 257],
-    [137, 199, 257],
-    [132, 201, 252],
-    [132, 200, 252],
-    [200, 201, 252],
-    [133, 203, 253],
-    [133, 202, 253],
-    [202, 203, 253],
-    [138, 192, 258],
-    [138, 204, 258],
-    [192, 204, 258],
-    [139, 193, 259],
-    [139, 205, 259],
-    [193, 205, 259],
-    [140, 206, 260],
-    [140, 194, 260],
-    [194, 206, 260],
-    [141, 207, 261],
-    [141, 195, 261],
-    [195, 207, 261],
-    [146, 196, 266],
-    [146, 197, 266],
-    [196, 197, 266],
-    [147, 198, 267],
-    [198, 199, 267],
-    [147, 199, 267],
-    [142, 208, 262],
-    [142, 200, 262],
-    [200, 208, 262],
-    [144, 209, 263],
-    [144, 201, 263],
-    [201, 209, 263],
-    [143, 210, 264],
-    [143, 202, 264],
-    [202, 210, 264],
-    [145, 211, 265],
-    [145, 203, 265],
-    [203, 211, 265],
-    [148, 205, 268],
-    [148, 204, 268],
-    [204, 205, 268],
-    [149, 206, 269],
-    [149, 212, 269],
-    [206, 212, 269],
-    [150, 207, 270],
-    [150, 212, 270],
-    [207, 212, 270],
-    [153, 208, 271],
-    [153, 213, 271],
-    [208, 213, 271],
-    [154, 209, 272],
-    [154, 213, 272],
-    [209, 213, 272],
-    [155, 210, 273],
-    [155, 214, 273],
-    [210, 214, 273],
-    [156, 211, 274],
-    [211, 214, 274],
-    [156, 214, 274],
-    [151, 216, 275],
-    [151, 215, 275],
-    [215, 216, 275],
-    [152, 218, 276],
-    [152, 217, 276],
-    [217, 218, 276],
-    [157, 219, 277],
-    [157, 220, 277],
-    [219, 220, 277],
-    [158, 221, 278],
-    [158, 215, 278],
-    [215, 221, 278],
-    [159, 222, 279],
-    [159, 217, 279],
-    [217, 222, 279],
-    [160, 216, 280],
-    [160, 223, 280],
-    [216, 223, 280],
-    [161, 218, 281],
-    [161, 224, 281],
-    [218, 224, 281],
-    [162, 219, 282],
-    [162, 225, 282],
-    [219, 225, 282],
-    [163, 226, 283],
-    [163, 220, 283],
-    [220, 226, 283],
-    [164, 221, 284],
-    [164, 227, 284],
-    [221, 227, 284],
-    [165, 228, 285],
-    [165, 222, 285],
-    [222, 228, 285],
-    [166, 227, 286],
-    [166, 223, 286],
-    [223, 227, 286],
-    [167, 228, 287],
-    [224, 228, 287],
-    [167, 224, 287],
-    [168, 225, 288],
-    [168, 229, 288],
-    [225, 229, 288],
-    [169, 226, 289],
-    [169, 229, 289],
-    [226, 229, 289],
-    [440, 441, 442],
-    [292, 324, 441, 442, 325],
-    [291, 321, 440, 442, 323],
-    [323, 325, 442],
-    [290, 320, 440, 441, 322],
-    [322, 324, 441],
-    [320, 321, 440],
-    [172, 233, 323, 325, 235],
-    [235, 292, 325],
-    [171, 232, 322, 324, 234],
-    [234, 292, 324],
-    [233, 291, 323],
-    [232, 290, 322],
-    [170, 230, 320, 321, 231],
-    [231, 291, 321],
-    [230, 290, 320],
-    [114, 115, 235, 292, 234],
-    [111, 113, 233, 291, 231],
-    [110, 112, 232, 290, 230],
-    [443, 444, 449],
-    [295, 334, 444, 449, 347],
-    [293, 332, 443, 449, 346],
-    [346, 347, 449],
-    [290, 326, 443, 444, 328],
-    [328, 334, 444],
-    [326, 332, 443],
-    [185, 245, 346, 347, 246],
-    [246, 295, 347],
-    [245, 293, 346],
-    [175, 232, 328, 334, 238],
-    [238, 295, 334],
-    [173, 230, 326, 332, 236],
-    [236, 293, 332],
-    [232, 290, 328],
-    [230, 290, 326],
-    [118, 124, 246, 295, 238],
-    [116, 123, 245, 293, 236],
-    [445, 446, 450],
-    [296, 335, 446, 450, 349],
-    [294, 333, 445, 450, 348],
-    [348, 349, 450],
-    [291, 327, 445, 446, 329],
-    [329, 335, 446],
-    [327, 333, 445],
-    [186, 247, 348, 349, 248],
-    [248, 296, 349],
-    [247, 294, 348],
-    [176, 233, 329, 335, 239],
-    [239, 296, 335],
-    [174, 231, 327, 333, 237],
-    [237, 294, 333],
-    [233, 291, 329],
-    [231, 291, 327],
-    [119, 126, 248, 296, 239],
-    [117, 125, 247, 294, 237],
-    [447, 448, 451],
-    [298, 337, 448, 451, 355],
-    [297, 336, 447, 451, 354],
-    [354, 355, 451],
-    [292, 330, 447, 448, 331],
-    [331, 337, 448],
-    [330, 336, 447],
-    [187, 249, 354, 355, 250],
-    [250, 298, 355],
-    [249, 297, 354],
-    [178, 235, 331, 337, 241],
-    [241, 298, 337],
-    [177, 234, 330, 336, 240],
-    [240, 297, 336],
-    [235, 292, 331],
-    [234, 292, 330],
-    [121, 130, 250, 298, 241],
-    [120, 129, 249, 297, 240],
-    [452, 458, 464],
-    [302, 363, 458, 464, 374],
-    [299, 344, 452, 464, 362],
-    [362, 374, 464],
-    [293, 338, 452, 458, 356],
-    [356, 363, 458],
-    [338, 344, 452],
-    [194, 251, 362, 374, 260],
-    [260, 302, 374],
-    [188, 245, 356, 363, 254],
-    [254, 302, 363],
-    [251, 299, 362],
-    [245, 293, 356],
-    [179, 236, 338, 344, 242],
-    [242, 299, 344],
-    [236, 293, 338],
-    [134, 140, 260, 302, 254],
-    [122, 131, 251, 299, 242],
-    [453, 459, 465],
-    [303, 365, 459, 465, 375],
-    [299, 345, 453, 465, 364],
-    [364, 375, 465],
-    [294, 339, 453, 459, 358],
-    [358, 365, 459],
-    [339, 345, 453],
-    [195, 251, 364, 375, 261],
-    [261, 303, 375],
-    [190, 247, 358, 365, 256],
-    [256, 303, 365],
-    [251, 299, 364],
-    [247, 294, 358],
-    [180, 237, 339, 345, 242],
-    [242, 299, 345],
-    [237, 294, 339],
-    [135, 141, 261, 303, 256],
-    [454, 460, 466],
-    [304, 366, 460, 466, 376],
-    [300, 350, 454, 466, 367],
-    [367, 376, 466],
-    [295, 340, 454, 460, 357],
-    [357, 366, 460],
-    [340, 350, 454],
-    [200, 252, 367, 376, 262],
-    [262, 304, 376],
-    [252, 300, 367],
-    [189, 246, 357, 366, 255],
-    [255, 304, 366],
-    [246, 295, 357],
-    [181, 238, 340, 350, 243],
-    [243, 300, 350],
-    [238, 295, 340],
-    [136, 142, 262, 304, 255],
-    [127, 132, 252, 300, 243],
-    [456, 461, 468],
-    [305, 368, 461, 468, 378],
-    [301, 352, 456, 468, 370],
-    [370, 378, 468],
-    [296, 341, 456, 461, 359],
-    [359, 368, 461],
-    [341, 352, 456],
-    [202, 253, 370, 378, 264],
-    [264, 305, 378],
-    [253, 301, 370],
-    [191, 248, 359, 368, 257],
-    [257, 305, 368],
-    [248, 296, 359],
-    [183, 239, 341, 352, 244],
-    [244, 301, 352],
-    [239, 296, 341],
-    [137, 143, 264, 305, 257],
-    [128, 133, 253, 301, 244],
-    [455, 462, 467],
-    [306, 371, 462, 467, 377],
-    [300, 351, 455, 467, 369],
-    [369, 377, 467],
-    [297, 342, 455, 462, 360],
-    [360, 371, 462],
-    [342, 351, 455],
-    [201, 252, 369, 377, 263],
-    [263, 306, 377],
-    [192, 249, 360, 371, 258],
-    [258, 306, 371],
-    [252, 300, 369],
-    [249, 297, 360],
-    [182, 240, 342, 351, 243],
-    [243, 300, 351],
-    [240, 297, 342],
-    [138, 144, 263, 306, 258],
-    [457, 463, 469],
-    [307, 373, 463, 469, 379],
-    [301, 353, 457, 469, 372],
-    [372, 379, 469],
-    [298, 343, 457, 463, 361],
-    [361, 373, 463],
-    [343, 353, 457],
-    [203, 253, 372, 379, 265],
-    [265, 307, 379],
-    [193, 250, 361, 373, 259],
-    [259, 307, 373],
-    [253, 301, 372],
-    [250, 298, 361],
-    [184, 241, 343, 353, 244],
-    [244, 301, 353],
-    [241, 298, 343],
-    [139, 145, 265, 307, 259],
-    [470, 476, 482],
-    [311, 398, 476, 482, 416],
-    [308, 387, 470, 482, 406],
-    [406, 416, 482],
-    [302, 380, 470, 476, 386],
-    [386, 398, 476],
-    [380, 387, 470],
-    [215, 275, 406, 416, 278],
-    [278, 311, 416],
-    [275, 308, 406],
-    [206, 260, 386, 398, 269],
-    [269, 311, 398],
-    [196, 254, 380, 387, 266],
-    [266, 308, 387],
-    [260, 302, 386],
-    [254, 302, 380],
-    [149, 158, 278, 311, 269],
-    [146, 151, 275, 308, 266],
-    [472, 477, 484],
-    [312, 399, 477, 484, 417],
-    [309, 390, 472, 484, 408],
-    [408, 417, 484],
-    [303, 382, 472, 477, 388],
-    [388, 399, 477],
-    [382, 390, 472],
-    [217, 276, 408, 417, 279],
-    [279, 312, 417],
-    [276, 309, 408],
-    [207, 261, 388, 399, 270],
-    [270, 312, 399],
-    [198, 256, 382, 390, 267],
-    [267, 309, 390],
-    [261, 303, 388],
-    [256, 303, 382],
-    [150, 159, 279, 312, 270],
-    [147, 152, 276, 309, 267],
-    [471, 478, 483],
-    [313, 400, 478, 483, 418],
-    [308, 389, 471, 483, 407],
-    [407, 418, 483],
-    [304, 381, 471, 478, 391],
-    [391, 400, 478],
-    [381, 389, 471],
-    [216, 275, 407, 418, 280],
-    [280, 313, 418],
-    [275, 308, 407],
-    [208, 262, 391, 400, 271],
-    [271, 313, 400],
-    [262, 304, 391],
-    [197, 255, 381, 389, 266],
-    [266, 308, 389],
-    [255, 304, 381],
-    [153, 160, 280, 313, 271],
-    [473, 479, 485],
-    [314, 402, 479, 485, 419],
-    [309, 392, 473, 485, 409],
-    [409, 419, 485],
-    [305, 383, 473, 479, 393],
-    [393, 402, 479],
-    [383, 392, 473],
-    [218, 276, 409, 419, 281],
-    [281, 314, 419],
-    [276, 309, 409],
-    [210, 264, 393, 402, 273],
-    [273, 314, 402],
-    [264, 305, 393],
-    [199, 257, 383, 392, 267],
-    [267, 309, 392],
-    [257, 305, 383],
-    [155, 161, 281, 314, 273],
-    [474, 480, 486],
-    [315, 401, 480, 486, 420],
-    [310, 395, 474, 486, 414],
-    [414, 420, 486],
-    [306, 384, 474, 480, 394],
-    [394, 401, 480],
-    [384, 395, 474],
-    [219, 277, 414, 420, 282],
-    [282, 315, 420],
-    [277, 310, 414],
-    [209, 263, 394, 401, 272],
-    [272, 315, 401],
-    [204, 258, 384, 395, 268],
-    [268, 310, 395],
-    [263, 306, 394],
-    [258, 306, 384],
-    [154, 162, 282, 315, 272],
-    [148, 157, 277, 310, 268],
-    [475, 481, 487],
-    [316, 403, 481, 487, 421],
-    [310, 397, 475, 487, 415],
-    [415, 421, 487],
-    [307, 385, 475, 481, 396],
-    [396, 403, 481],
-    [385, 397, 475],
-    [220, 277, 415, 421, 283],
-    [283, 316, 421],
-    [277, 310, 415],
-    [211, 265, 396, 403, 274],
-    [274, 316, 403],
-    [205, 259, 385, 397, 268],
-    [268, 310, 397],
-    [265, 307, 396],
-    [259, 307, 385],
-    [156, 163, 283, 316, 274],
-    [488, 491, 492],
-    [317, 428, 491, 492, 429],
-    [312, 405, 488, 492, 423],
-    [423, 429, 492],
-    [311, 404, 488, 491, 422],
-    [422, 428, 491],
-    [404, 405, 488],
-    [222, 279, 423, 429, 285],
-    [285, 317, 429],
-    [221, 278, 422, 428, 284],
-    [284, 317, 428],
-    [279, 312, 423],
-    [278, 311, 422],
-    [212, 269, 404, 405, 270],
-    [270, 312, 405],
-    [269, 311, 404],
-    [164, 165, 285, 317, 284],
-    [489, 493, 494],
-    [318, 430, 493, 494, 432],
-    [315, 411, 489, 494, 426],
-    [426, 432, 494],
-    [313, 410, 489, 493, 424],
-    [424, 430, 493],
-    [410, 411, 489],
-    [225, 282, 426, 432, 288],
-    [288, 318, 432],
-    [223, 280, 424, 430, 286],
-    [286, 318, 430],
-    [282, 315, 426],
-    [280, 313, 424],
-    [213, 271, 410, 411, 272],
-    [272, 315, 411],
-    [271, 313, 410],
-    [166, 168, 288, 318, 286],
-    [490, 495, 496],
-    [319, 431, 495, 496, 433],
-    [316, 413, 490, 496, 427],
-    [427, 433, 496],
-    [314, 412, 490, 495, 425],
-    [425, 431, 495],
-    [412, 413, 490],
-    [226, 283, 427, 433, 289],
-    [289, 319, 433],
-    [224, 281, 425, 431, 287],
-    [287, 319, 431],
-    [283, 316, 427],
-    [281, 314, 425],
-    [214, 273, 412, 413, 274],
-    [274, 316, 413],
-    [273, 314, 412],
-    [167, 169, 289, 319, 287],
-    [497, 498, 499],
-    [319, 437, 498, 499, 439],
-    [318, 436, 497, 499, 438],
-    [438, 439, 499],
-    [317, 434, 497, 498, 435],
-    [435, 437, 498],
-    [434, 436, 497],
-    [229, 288, 438, 439, 289],
-    [289, 319, 439],
-    [288, 318, 438],
-    [228, 285, 435, 437, 287],
-    [287, 319, 437],
-    [227, 284, 434, 436, 286],
-    [286, 318, 436],
-    [285, 317, 435],
-    [284, 317, 434],
-    [230, 320, 326],
-    [290, 320, 326],
-    [231, 321, 327],
-    [291, 321, 327],
-    [232, 322, 328],
-    [290, 322, 328],
-    [233, 323, 329],
-    [291, 323, 329],
-    [234, 324, 330],
-    [292, 324, 330],
-    [235, 325, 331],
-    [292, 325, 331],
-    [236, 332, 338],
-    [293, 332, 338],
-    [237, 333, 339],
-    [294, 333, 339],
-    [238, 334, 340],
-    [295, 334, 340],
-    [239, 335, 341],
-    [296, 335, 341],
-    [240, 336, 342],
-    [297, 336, 342],
-    [241, 337, 343],
-    [298, 337, 343],
-    [242, 344, 345],
-    [299, 344, 345],
-    [245, 346, 356],
-    [293, 346, 356],
-    [246, 347, 357],
-    [295, 347, 357],
-    [247, 348, 358],
-    [294, 348, 358],
-    [248, 349, 359],
-    [296, 349, 359],
-    [243, 350, 351],
-    [300, 350, 351],
-    [244, 352, 353],
-    [301, 352, 353],
-    [249, 354, 360],
-    [297, 354, 360],
-    [250, 355, 361],
-    [298, 355, 361],
-    [251, 362, 364],
-    [299, 362, 364],
-    [252, 367, 369],
-    [300, 367, 369],
-    [253, 370, 372],
-    [301, 370, 372],
-    [254, 363, 380],
-    [302, 363, 380],
-    [256, 365, 382],
-    [303, 365, 382],
-    [255, 366, 381],
-    [304, 366, 381],
-    [257, 368, 383],
-    [305, 368, 383],
-    [258, 371, 384],
-    [306, 371, 384],
-    [259, 373, 385],
-    [307, 373, 385],
-    [260, 374, 386],
-    [302, 374, 386],
-    [261, 375, 388],
-    [303, 375, 388],
-    [262, 376, 391],
-    [304, 376, 391],
-    [264, 378, 393],
-    [305, 378, 393],
-    [263, 377, 394],
-    [306, 377, 394],
-    [265, 379, 396],
-    [307, 379, 396],
-    [266, 387, 389],
-    [308, 387, 389],
-    [267, 390, 392],
-    [309, 390, 392],
-    [268, 395, 397],
-    [310, 395, 397],
-    [269, 398, 404],
-    [311, 398, 404],
-    [270, 399, 405],
-    [312, 399, 405],
-    [275, 406, 407],
-    [308, 406, 407],
-    [276, 408, 409],
-    [309, 408, 409],
-    [271, 400, 410],
-    [313, 400, 410],
-    [272, 401, 411],
-    [315, 401, 411],
-    [273, 402, 412],
-    [314, 402, 412],
-    [274, 403, 413],
-    [316, 403, 413],
-    [277, 414, 415],
-    [310, 414, 415],
-    [278, 416, 422],
-    [311, 416, 422],
-    [279, 417, 423],
-    [312, 417, 423],
-    [280, 418, 424],
-    [313, 418, 424],
-    [281, 419, 425],
-    [314, 419, 425],
-    [282, 420, 426],
-    [315, 420, 426],
-    [283, 421, 427],
-    [316, 421, 427],
-    [284, 428, 434],
-    [317, 428, 434],
-    [285, 429, 435],
-    [317, 429, 435],
-    [286, 430, 436],
-    [318, 430, 436],
-    [287, 431, 437],
-    [319, 431, 437],
-    [288, 432, 438],
-    [318, 432, 438],
-    [289, 433, 439],
-    [319, 433, 439],
-    [561, 562, 568, 576, 567],
-    [510, 568, 576],
-    [509, 567, 576],
-    [344, 345, 510, 576, 509],
-    [504, 562, 568],
-    [333, 339, 510, 568, 504],
-    [503, 561, 567],
-    [332, 338, 509, 567, 503],
-    [500, 561, 562],
-    [321, 327, 504, 562, 500],
-    [320, 326, 503, 561, 500],
-    [339, 345, 510],
-    [338, 344, 509],
-    [327, 333, 504],
-    [326, 332, 503],
-    [320, 321, 500],
-    [563, 564, 572, 577, 571],
-    [512, 572, 577],
-    [511, 571, 577],
-    [350, 351, 512, 577, 511],
-    [507, 564, 572],
-    [336, 342, 512, 572, 507],
-    [505, 563, 571],
-    [334, 340, 511, 571, 505],
-    [501, 563, 564],
-    [324, 330, 507, 564, 501],
-    [322, 328, 505, 563, 501],
-    [342, 351, 512],
-    [340, 350, 511],
-    [330, 336, 507],
-    [328, 334, 505],
-    [322, 324, 501],
-    [565, 566, 574, 578, 573],
-    [514, 574, 578],
-    [513, 573, 578],
-    [352, 353, 514, 578, 513],
-    [508, 566, 574],
-    [337, 343, 514, 574, 508],
-    [506, 565, 573],
-    [335, 341, 513, 573, 506],
-    [502, 565, 566],
-    [325, 331, 508, 566, 502],
-    [323, 329, 506, 565, 502],
-    [343, 353, 514],
-    [341, 352, 513],
-    [331, 337, 508],
-    [329, 335, 506],
-    [323, 325, 502],
-    [580, 582, 592, 598, 591],
-    [531, 592, 598],
-    [530, 591, 598],
-    [387, 389, 531, 598, 530],
-    [519, 582, 592],
-    [366, 381, 531, 592, 519],
-    [518, 580, 591],
-    [363, 380, 530, 591, 518],
-    [515, 580, 582],
-    [347, 357, 519, 582, 515],
-    [346, 356, 518, 580, 515],
-    [381, 389, 531],
-    [380, 387, 530],
-    [357, 366, 519],
-    [356, 363, 518],
-    [346, 347, 515],
-    [583, 585, 594, 599, 593],
-    [533, 594, 599],
-    [532, 593, 599],
-    [390, 392, 533, 599, 532],
-    [521, 585, 594],
-    [368, 383, 533, 594, 521],
-    [520, 583, 593],
-    [365, 382, 532, 593, 520],
-    [516, 583, 585],
-    [349, 359, 521, 585, 516],
-    [348, 358, 520, 583, 516],
-    [383, 392, 533],
-    [382, 390, 532],
-    [359, 368, 521],
-    [358, 365, 520],
-    [348, 349, 516],
-    [588, 590, 596, 602, 595],
-    [535, 596, 602],
-    [534, 595, 602],
-    [395, 397, 535, 602, 534],
-    [523, 590, 596],
-    [373, 385, 535, 596, 523],
-    [522, 588, 595],
-    [371, 384, 534, 595, 522],
-    [517, 588, 590],
-    [355, 361, 523, 590, 517],
-    [354, 360, 522, 588, 517],
-    [385, 397, 535],
-    [384, 395, 534],
-    [361, 373, 523],
-    [360, 371, 522],
-    [354, 355, 517],
-    [597, 603, 609, 611, 604],
-    [542, 609, 611],
-    [537, 604, 611],
-    [399, 405, 542, 611, 537],
-    [536, 603, 609],
-    [398, 404, 542, 609, 536],
-    [525, 597, 604],
-    [375, 388, 537, 604, 525],
-    [524, 597, 603],
-    [374, 386, 536, 603, 524],
-    [362, 364, 525, 597, 524],
-    [404, 405, 542],
-    [388, 399, 537],
-    [386, 398, 536],
-    [364, 375, 525],
-    [362, 374, 524],
-    [600, 605, 614, 616, 606],
-    [543, 614, 616],
-    [539, 606, 616],
-    [401, 411, 543, 616, 539],
-    [538, 605, 614],
-    [400, 410, 543, 614, 538],
-    [527, 600, 606],
-    [377, 394, 539, 606, 527],
-    [526, 600, 605],
-    [376, 391, 538, 605, 526],
-    [367, 369, 527, 600, 526],
-    [410, 411, 543],
-    [394, 401, 539],
-    [391, 400, 538],
-    [369, 377, 527],
-    [367, 376, 526],
-    [601, 607, 617, 619, 608],
-    [544, 617, 619],
-    [541, 608, 619],
-    [403, 413, 544, 619, 541],
-    [540, 607, 617],
-    [402, 412, 544, 617, 540],
-    [529, 601, 608],
-    [379, 396, 541, 608, 529],
-    [528, 601, 607],
-    [378, 393, 540, 607, 528],
-    [370, 372, 529, 601, 528],
-    [412, 413, 544],
-    [396, 403, 541],
-    [393, 402, 540],
-    [372, 379, 529],
-    [370, 378, 528],
-    [621, 625, 633, 634, 626],
-    [557, 633, 634],
-    [553, 626, 634],
-    [430, 436, 557, 634, 553],
-    [551, 625, 633],
-    [428, 434, 557, 633, 551],
-    [546, 621, 626],
-    [418, 424, 553, 626, 546],
-    [545, 621, 625],
-    [416, 422, 551, 625, 545],
-    [406, 407, 546, 621, 545],
-    [434, 436, 557],
-    [424, 430, 553],
-    [422, 428, 551],
-    [407, 418, 546],
-    [406, 416, 545],
-    [622, 627, 635, 636, 628],
-    [558, 635, 636],
-    [554, 628, 636],
-    [431, 437, 558, 636, 554],
-    [552, 627, 635],
-    [429, 435, 558, 635, 552],
-    [548, 622, 628],
-    [419, 425, 554, 628, 548],
-    [547, 622, 627],
-    [417, 423, 552, 627, 547],
-    [408, 409, 548, 622, 547],
-    [435, 437, 558],
-    [425, 431, 554],
-    [423, 429, 552],
-    [409, 419, 548],
-    [408, 417, 547],
-    [623, 631, 637, 638, 632],
-    [559, 637, 638],
-    [556, 632, 638],
-    [433, 439, 559, 638, 556],
-    [555, 631, 637],
-    [432, 438, 559, 637, 555],
-    [550, 623, 632],
-    [421, 427, 556, 632, 550],
-    [549, 623, 631],
-    [420, 426, 555, 631, 549],
-    [414, 415, 550, 623, 549],
-    [438, 439, 559],
-    [427, 433, 556],
-    [426, 432, 555],
-    [415, 421, 550],
-    [414, 420, 549],
-    [320, 440, 500],
-    [321, 440, 500],
-    [324, 441, 501],
-    [322, 441, 501],
-    [325, 442, 502],
-    [323, 442, 502],
-    [326, 443, 503],
-    [332, 443, 503],
-    [333, 445, 504],
-    [327, 445, 504],
-    [328, 444, 505],
-    [334, 444, 505],
-    [335, 446, 506],
-    [329, 446, 506],
-    [330, 447, 507],
-    [336, 447, 507],
-    [337, 448, 508],
-    [331, 448, 508],
-    [338, 452, 509],
-    [344, 452, 509],
-    [339, 453, 510],
-    [345, 453, 510],
-    [346, 449, 515],
-    [347, 449, 515],
-    [348, 450, 516],
-    [349, 450, 516],
-    [350, 454, 511],
-    [340, 454, 511],
-    [351, 455, 512],
-    [342, 455, 512],
-    [341, 456, 513],
-    [352, 456, 513],
-    [343, 457, 514],
-    [353, 457, 514],
-    [355, 451, 517],
-    [354, 451, 517],
-    [363, 458, 518],
-    [356, 458, 518],
-    [358, 459, 520],
-    [365, 459, 520],
-    [366, 460, 519],
-    [357, 460, 519],
-    [368, 461, 521],
-    [359, 461, 521],
-    [371, 462, 522],
-    [360, 462, 522],
-    [373, 463, 523],
-    [361, 463, 523],
-    [374, 464, 524],
-    [362, 464, 524],
-    [375, 465, 525],
-    [364, 465, 525],
-    [367, 466, 526],
-    [376, 466, 526],
-    [369, 467, 527],
-    [377, 467, 527],
-    [378, 468, 528],
-    [370, 468, 528],
-    [379, 469, 529],
-    [372, 469, 529],
-    [380, 470, 530],
-    [387, 470, 530],
-    [381, 471, 531],
-    [389, 471, 531],
-    [390, 472, 532],
-    [382, 472, 532],
-    [383, 473, 533],
-    [392, 473, 533],
-    [384, 474, 534],
-    [395, 474, 534],
-    [385, 475, 535],
-    [397, 475, 535],
-    [386, 476, 536],
-    [398, 476, 536],
-    [388, 477, 537],
-    [399, 477, 537],
-    [391, 478, 538],
-    [400, 478, 538],
-    [393, 479, 540],
-    [402, 479, 540],
-    [401, 480, 539],
-    [394, 480, 539],
-    [396, 481, 541],
-    [403, 481, 541],
-    [404, 488, 542],
-    [405, 488, 542],
-    [416, 482, 545],
-    [406, 482, 545],
-    [418, 483, 546],
-    [407, 483, 546],
-    [408, 484, 547],
-    [417, 484, 547],
-    [409, 485, 548],
-    [419, 485, 548],
-    [411, 489, 543],
-    [410, 489, 543],
-    [413, 490, 544],
-    [412, 490, 544],
-    [420, 486, 549],
-    [414, 486, 549],
-    [421, 487, 550],
-    [415, 487, 550],
-    [422, 491, 551],
-    [428, 491, 551],
-    [429, 492, 552],
-    [423, 492, 552],
-    [424, 493, 553],
-    [430, 493, 553],
-    [431, 495, 554],
-    [425, 495, 554],
-    [426, 494, 555],
-    [432, 494, 555],
-    [427, 496, 556],
-    [433, 496, 556],
-    [434, 497, 557],
-    [436, 497, 557],
-    [435, 498, 558],
-    [437, 498, 558],
-    [439, 499, 559],
-    [438, 499, 559],
-    [440, 442, 560],
-    [440, 441, 560],
-    [441, 442, 560],
-    [444, 449, 569],
-    [443, 444, 569],
-    [443, 449, 569],
-    [445, 446, 570],
-    [446, 450, 570],
-    [445, 450, 570],
-    [447, 451, 575],
-    [448, 451, 575],
-    [447, 448, 575],
-    [452, 464, 579],
-    [452, 458, 579],
-    [458, 464, 579],
-    [453, 465, 581],
-    [459, 465, 581],
-    [453, 459, 581],
-    [454, 460, 584],
-    [454, 466, 584],
-    [460, 466, 584],
-    [456, 468, 586],
-    [461, 468, 586],
-    [456, 461, 586],
-    [455, 462, 587],
-    [455, 467, 587],
-    [462, 467, 587],
-    [457, 469, 589],
-    [457, 463, 589],
-    [463, 469, 589],
-    [470, 482, 610],
-    [476, 482, 610],
-    [470, 476, 610],
-    [477, 484, 612],
-    [472, 484, 612],
-    [472, 477, 612],
-    [471, 483, 613],
-    [471, 478, 613],
-    [478, 483, 613],
-    [479, 485, 615],
-    [473, 479, 615],
-    [473, 485, 615],
-    [474, 486, 618],
-    [474, 480, 618],
-    [480, 486, 618],
-    [475, 487, 620],
-    [481, 487, 620],
-    [475, 481, 620],
-    [488, 492, 624],
-    [488, 491, 624],
-    [491, 492, 624],
-    [493, 494, 629],
-    [489, 493, 629],
-    [489, 494, 629],
-    [490, 495, 630],
-    [490, 496, 630],
-    [495, 496, 630],
-    [497, 499, 639],
-    [498, 499, 639],
-    [497, 498, 639],
-    [703, 704, 768, 880, 766],
-    [762, 768, 880],
-    [760, 766, 880],
-    [700, 701, 762, 880, 760],
-    [563, 641, 762, 768, 645],
-    [645, 704, 768],
-    [561, 640, 760, 766, 643],
-    [643, 703, 766],
-    [641, 701, 762],
-    [640, 700, 760],
-    [569, 703, 704],
-    [444, 505, 645, 704, 569],
-    [443, 503, 643, 703, 569],
-    [560, 700, 701],
-    [441, 501, 641, 701, 560],
-    [440, 500, 640, 700, 560],
-    [505, 563, 645],
-    [503, 561, 643],
-    [501, 563, 641],
-    [500, 561, 640],
-    [705, 706, 769, 881, 767],
-    [763, 769, 881],
-    [761, 767, 881],
-    [700, 702, 763, 881, 761],
-    [565, 642, 763, 769, 646],
-    [646, 706, 769],
-    [562, 640, 761, 767, 644],
-    [644, 705, 767],
-    [642, 702, 763],
-    [640, 700, 761],
-    [570, 705, 706],
-    [446, 506, 646, 706, 570],
-    [445, 504, 644, 705, 570],
-    [560, 700, 702],
-    [442, 502, 642, 702, 560],
-    [506, 565, 646],
-    [504, 562, 644],
-    [502, 565, 642],
-    [500, 562, 640],
-    [707, 708, 771, 882, 770],
-    [765, 771, 882],
-    [764, 770, 882],
-    [701, 702, 765, 882, 764],
-    [566, 642, 765, 771, 648],
-    [648, 708, 771],
-    [564, 641, 764, 770, 647],
-    [647, 707, 770],
-    [642, 702, 765],
-    [641, 701, 764],
-    [575, 707, 708],
-    [448, 508, 648, 708, 575],
-    [447, 507, 647, 707, 575],
-    [560, 701, 702],
-    [508, 566, 648],
-    [507, 564, 647],
-    [502, 566, 642],
-    [501, 564, 641],
-    [561, 562, 640],
-    [563, 564, 641],
-    [565, 566, 642],
-    [503, 567, 643],
-    [561, 567, 643],
-    [504, 568, 644],
-    [562, 568, 644],
-    [505, 571, 645],
-    [563, 571, 645],
-    [506, 573, 646],
-    [565, 573, 646],
-    [507, 572, 647],
-    [564, 572, 647],
-    [508, 574, 648],
-    [566, 574, 648],
-    [509, 567, 649],
-    [509, 576, 649],
-    [567, 576, 649],
-    [510, 568, 650],
-    [510, 576, 650],
-    [568, 576, 650],
-    [511, 571, 651],
-    [511, 577, 651],
-    [571, 577, 651],
-    [512, 572, 652],
-    [512, 577, 652],
-    [572, 577, 652],
-    [513, 573, 653],
-    [513, 578, 653],
-    [573, 578, 653],
-    [514, 574, 654],
-    [514, 578, 654],
-    [574, 578, 654],
-    [786, 796, 883],
-    [712, 718, 796, 883, 778],
-    [703, 709, 786, 883, 772],
-    [772, 778, 883],
-    [580, 655, 786, 796, 658],
-    [658, 718, 796],
-    [655, 709, 786],
-    [567, 643, 772, 778, 649],
-    [649, 712, 778],
-    [643, 703, 772],
-    [579, 712, 718],
-    [458, 518, 658, 718, 579],
-    [452, 509, 649, 712, 579],
-    [569, 703, 709],
-    [449, 515, 655, 709, 569],
-    [518, 580, 658],
-    [515, 580, 655],
-    [788, 798, 884],
-    [713, 719, 798, 884, 779],
-    [705, 710, 788, 884, 773],
-    [773, 779, 884],
-    [583, 656, 788, 798, 660],
-    [660, 719, 798],
-    [656, 710, 788],
-    [568, 644, 773, 779, 650],
-    [650, 713, 779],
-    [644, 705, 773],
-    [581, 713, 719],
-    [459, 520, 660, 719, 581],
-    [453, 510, 650, 713, 581],
-    [570, 705, 710],
-    [450, 516, 656, 710, 570],
-    [520, 583, 660],
-    [516, 583, 656],
-    [787, 797, 885],
-    [714, 720, 797, 885, 780],
-    [704, 709, 787, 885, 774],
-    [774, 780, 885],
-    [582, 655, 787, 797, 659],
-    [659, 720, 797],
-    [655, 709, 787],
-    [571, 645, 774, 780, 651],
-    [651, 714, 780],
-    [645, 704, 774],
-    [584, 714, 720],
-    [460, 519, 659, 720, 584],
-    [454, 511, 651, 714, 584],
-    [569, 704, 709],
-    [519, 582, 659],
-    [515, 582, 655],
-    [789, 799, 886],
-    [716, 721, 799, 886, 781],
-    [706, 710, 789, 886, 775],
-    [775, 781, 886],
-    [585, 656, 789, 799, 661],
-    [661, 721, 799],
-    [656, 710, 789],
-    [573, 646, 775, 781, 653],
-    [653, 716, 781],
-    [646, 706, 775],
-    [586, 716, 721],
-    [461, 521, 661, 721, 586],
-    [456, 513, 653, 716, 586],
-    [570, 706, 710],
-    [521, 585, 661],
-    [516, 585, 656],
-    [794, 800, 887],
-    [715, 722, 800, 887, 782],
-    [707, 711, 794, 887, 776],
-    [776, 782, 887],
-    [588, 657, 794, 800, 662],
-    [662, 722, 800],
-    [657, 711, 794],
-    [572, 647, 776, 782, 652],
-    [652, 715, 782],
-    [647, 707, 776],
-    [587, 715, 722],
-    [462, 522, 662, 722, 587],
-    [455, 512, 652, 715, 587],
-    [575, 707, 711],
-    [451, 517, 657, 711, 575],
-    [522, 588, 662],
-    [517, 588, 657],
-    [795, 801, 888],
-    [717, 723, 801, 888, 783],
-    [708, 711, 795, 888, 777],
-    [777, 783, 888],
-    [590, 657, 795, 801, 663],
-    [663, 723, 801],
-    [657, 711, 795],
-    [574, 648, 777, 783, 654],
-    [654, 717, 783],
-    [648, 708, 777],
-    [589, 717, 723],
-    [463, 523, 663, 723, 589],
-    [457, 514, 654, 717, 589],
-    [575, 708, 711],
-    [523, 590, 663],
-    [517, 590, 657],
-    [580, 582, 655],
-    [583, 585, 656],
-    [588, 590, 657],
-    [802, 804, 889],
-    [713, 725, 804, 889, 785],
-    [712, 724, 802, 889, 784],
-    [784, 785, 889],
-    [597, 664, 802, 804, 665],
-    [665, 725, 804],
-    [664, 724, 802],
-    [576, 649, 784, 785, 650],
-    [650, 713, 785],
-    [649, 712, 784],
-    [581, 713, 725],
-    [465, 525, 665, 725, 581],
-    [579, 712, 724],
-    [464, 524, 664, 724, 579],
-    [525, 597, 665],
-    [524, 597, 664],
-    [807, 809, 890],
-    [715, 727, 809, 890, 791],
-    [714, 726, 807, 890, 790],
-    [790, 791, 890],
-    [600, 666, 807, 809, 667],
-    [667, 727, 809],
-    [666, 726, 807],
-    [577, 651, 790, 791, 652],
-    [652, 715, 791],
-    [651, 714, 790],
-    [587, 715, 727],
-    [467, 527, 667, 727, 587],
-    [584, 714, 726],
-    [466, 526, 666, 726, 584],
-    [527, 600, 667],
-    [526, 600, 666],
-    [810, 812, 891],
-    [717, 729, 812, 891, 793],
-    [716, 728, 810, 891, 792],
-    [792, 793, 891],
-    [601, 668, 810, 812, 669],
-    [669, 729, 812],
-    [668, 728, 810],
-    [578, 653, 792, 793, 654],
-    [654, 717, 793],
-    [653, 716, 792],
-    [589, 717, 729],
-    [469, 529, 669, 729, 589],
-    [586, 716, 728],
-    [468, 528, 668, 728, 586],
-    [529, 601, 669],
-    [528, 601, 668],
-    [518, 591, 658],
-    [580, 591, 658],
-    [519, 592, 659],
-    [582, 592, 659],
-    [520, 593, 660],
-    [583, 593, 660],
-    [521, 594, 661],
-    [585, 594, 661],
-    [522, 595, 662],
-    [588, 595, 662],
-    [523, 596, 663],
-    [590, 596, 663],
-    [730, 736, 826, 892, 820],
-    [814, 826, 892],
-    [803, 820, 892],
-    [718, 724, 814, 892, 803],
-    [603, 664, 814, 826, 676],
-    [676, 736, 826],
-    [591, 658, 803, 820, 670],
-    [670, 730, 820],
-    [664, 724, 814],
-    [658, 718, 803],
-    [610, 730, 736],
-    [476, 536, 676, 736, 610],
-    [470, 530, 670, 730, 610],
-    [579, 718, 724],
-    [536, 603, 676],
-    [530, 591, 670],
-    [524, 603, 664],
-    [597, 603, 664],
-    [525, 604, 665],
-    [597, 604, 665],
-    [530, 598, 670],
-    [591, 598, 670],
-    [531, 592, 671],
-    [531, 598, 671],
-    [592, 598, 671],
-    [732, 737, 828, 893, 822],
-    [815, 828, 893],
-    [805, 822, 893],
-    [719, 725, 815, 893, 805],
-    [604, 665, 815, 828, 677],
-    [677, 737, 828],
-    [593, 660, 805, 822, 672],
-    [672, 732, 822],
-    [665, 725, 815],
-    [660, 719, 805],
-    [612, 732, 737],
-    [477, 537, 677, 737, 612],
-    [472, 532, 672, 732, 612],
-    [581, 719, 725],
-    [537, 604, 677],
-    [532, 593, 672],
-    [731, 738, 831, 894, 821],
-    [816, 831, 894],
-    [806, 821, 894],
-    [720, 726, 816, 894, 806],
-    [605, 666, 816, 831, 678],
-    [678, 738, 831],
-    [592, 659, 806, 821, 671],
-    [671, 731, 821],
-    [666, 726, 816],
-    [659, 720, 806],
-    [613, 731, 738],
-    [478, 538, 678, 738, 613],
-    [471, 531, 671, 731, 613],
-    [584, 720, 726],
-    [538, 605, 678],
-    [526, 605, 666],
-    [532, 599, 672],
-    [593, 599, 672],
-    [533, 594, 673],
-    [533, 599, 673],
-    [594, 599, 673],
-    [600, 605, 666],
-    [527, 606, 667],
-    [600, 606, 667],
-    [733, 739, 833, 895, 823],
-    [818, 833, 895],
-    [808, 823, 895],
-    [721, 728, 818, 895, 808],
-    [607, 668, 818, 833, 680],
-    [680, 739, 833],
-    [594, 661, 808, 823, 673],
-    [673, 733, 823],
-    [668, 728, 818],
-    [661, 721, 808],
-    [615, 733, 739],
-    [479, 540, 680, 739, 615],
-    [473, 533, 673, 733, 615],
-    [586, 721, 728],
-    [540, 607, 680],
-    [528, 607, 668],
-    [734, 740, 834, 896, 824],
-    [817, 834, 896],
-    [811, 824, 896],
-    [722, 727, 817, 896, 811],
-    [606, 667, 817, 834, 679],
-    [679, 740, 834],
-    [595, 662, 811, 824, 674],
-    [674, 734, 824],
-    [667, 727, 817],
-    [662, 722, 811],
-    [618, 734, 740],
-    [480, 539, 679, 740, 618],
-    [474, 534, 674, 734, 618],
-    [587, 722, 727],
-    [539, 606, 679],
-    [534, 595, 674],
-    [601, 607, 668],
-    [529, 608, 669],
-    [601, 608, 669],
-    [534, 602, 674],
-    [595, 602, 674],
-    [535, 596, 675],
-    [535, 602, 675],
-    [596, 602, 675],
-    [735, 741, 836, 897, 825],
-    [819, 836, 897],
-    [813, 825, 897],
-    [723, 729, 819, 897, 813],
-    [608, 669, 819, 836, 681],
-    [681, 741, 836],
-    [596, 663, 813, 825, 675],
-    [675, 735, 825],
-    [669, 729, 819],
-    [663, 723, 813],
-    [620, 735, 741],
-    [481, 541, 681, 741, 620],
-    [475, 535, 675, 735, 620],
-    [589, 723, 729],
-    [541, 608, 681],
-    [536, 609, 676],
-    [603, 609, 676],
-    [537, 611, 677],
-    [604, 611, 677],
-    [538, 614, 678],
-    [605, 614, 678],
-    [539, 616, 679],
-    [606, 616, 679],
-    [540, 617, 680],
-    [607, 617, 680],
-    [541, 619, 681],
-    [608, 619, 681],
-    [846, 847, 898],
-    [731, 743, 847, 898, 829],
-    [730, 742, 846, 898, 827],
-    [827, 829, 898],
-    [621, 685, 846, 847, 686],
-    [686, 743, 847],
-    [685, 742, 846],
-    [598, 670, 827, 829, 671],
-    [671, 731, 829],
-    [670, 730, 827],
-    [613, 731, 743],
-    [483, 546, 686, 743, 613],
-    [610, 730, 742],
-    [482, 545, 685, 742, 610],
-    [546, 621, 686],
-    [545, 621, 685],
-    [848, 849, 899],
-    [733, 745, 849, 899, 832],
-    [732, 744, 848, 899, 830],
-    [830, 832, 899],
-    [622, 687, 848, 849, 688],
-    [688, 745, 849],
-    [687, 744, 848],
-    [599, 672, 830, 832, 673],
-    [673, 733, 832],
-    [672, 732, 830],
-    [615, 733, 745],
-    [485, 548, 688, 745, 615],
-    [612, 732, 744],
-    [484, 547, 687, 744, 612],
-    [548, 622, 688],
-    [547, 622, 687],
-    [854, 855, 900],
-    [735, 747, 855, 900, 837],
-    [734, 746, 854, 900, 835],
-    [835, 837, 900],
-    [623, 689, 854, 855, 690],
-    [690, 747, 855],
-    [689, 746, 854],
-    [602, 674, 835, 837, 675],
-    [675, 735, 837],
-    [674, 734, 835],
-    [620, 735, 747],
-    [487, 550, 690, 747, 620],
-    [618, 734, 746],
-    [486, 549, 689, 746, 618],
-    [550, 623, 690],
-    [549, 623, 689],
-    [542, 609, 682],
-    [542, 611, 682],
-    [609, 611, 682],
-    [543, 616, 683],
-    [543, 614, 683],
-    [614, 616, 683],
-    [544, 619, 684],
-    [544, 617, 684],
-    [617, 619, 684],
-    [856, 862, 901],
-    [748, 751, 862, 901, 844],
-    [736, 742, 856, 901, 838],
-    [838, 844, 901],
-    [625, 685, 856, 862, 691],
-    [691, 751, 862],
-    [685, 742, 856],
-    [609, 676, 838, 844, 682],
-    [682, 748, 844],
-    [676, 736, 838],
-    [624, 748, 751],
-    [491, 551, 691, 751, 624],
-    [488, 542, 682, 748, 624],
-    [610, 736, 742],
-    [551, 625, 691],
-    [545, 625, 685],
-    [857, 863, 902],
-    [748, 752, 863, 902, 845],
-    [737, 744, 857, 902, 839],
-    [839, 845, 902],
-    [627, 687, 857, 863, 692],
-    [692, 752, 863],
-    [687, 744, 857],
-    [611, 677, 839, 845, 682],
-    [682, 748, 845],
-    [677, 737, 839],
-    [624, 748, 752],
-    [492, 552, 692, 752, 624],
-    [612, 737, 744],
-    [552, 627, 692],
-    [547, 627, 687],
-    [858, 864, 903],
-    [749, 753, 864, 903, 850],
-    [738, 743, 858, 903, 840],
-    [840, 850, 903],
-    [626, 686, 858, 864, 693],
-    [693, 753, 864],
-    [686, 743, 858],
-    [614, 678, 840, 850, 683],
-    [683, 749, 850],
-    [678, 738, 840],
-    [629, 749, 753],
-    [493, 553, 693, 753, 629],
-    [489, 543, 683, 749, 629],
-    [613, 738, 743],
-    [553, 626, 693],
-    [546, 626, 686],
-    [859, 865, 904],
-    [750, 755, 865, 904, 852],
-    [739, 745, 859, 904, 842],
-    [842, 852, 904],
-    [628, 688, 859, 865, 694],
-    [694, 755, 865],
-    [688, 745, 859],
-    [617, 680, 842, 852, 684],
-    [684, 750, 852],
-    [680, 739, 842],
-    [630, 750, 755],
-    [495, 554, 694, 755, 630],
-    [490, 544, 684, 750, 630],
-    [615, 739, 745],
-    [554, 628, 694],
-    [548, 628, 688],
-    [860, 866, 905],
-    [749, 754, 866, 905, 851],
-    [740, 746, 860, 905, 841],
-    [841, 851, 905],
-    [631, 689, 860, 866, 695],
-    [695, 754, 866],
-    [689, 746, 860],
-    [616, 679, 841, 851, 683],
-    [683, 749, 851],
-    [679, 740, 841],
-    [629, 749, 754],
-    [494, 555, 695, 754, 629],
-    [618, 740, 746],
-    [555, 631, 695],
-    [549, 631, 689],
-    [861, 867, 906],
-    [750, 756, 867, 906, 853],
-    [741, 747, 861, 906, 843],
-    [843, 853, 906],
-    [632, 690, 861, 867, 696],
-    [696, 756, 867],
-    [690, 747, 861],
-    [619, 681, 843, 853, 684],
-    [684, 750, 853],
-    [681, 741, 843],
-    [630, 750, 756],
-    [496, 556, 696, 756, 630],
-    [620, 741, 747],
-    [556, 632, 696],
-    [550, 632, 690],
-    [621, 625, 685],
-    [621, 626, 686],
-    [622, 627, 687],
-    [622, 628, 688],
-    [623, 631, 689],
-    [623, 632, 690],
-    [551, 633, 691],
-    [625, 633, 691],
-    [552, 635, 692],
-    [627, 635, 692],
-    [553, 634, 693],
-    [626, 634, 693],
-    [554, 636, 694],
-    [628, 636, 694],
-    [555, 637, 695],
-    [631, 637, 695],
-    [556, 638, 696],
-    [632, 638, 696],
-    [557, 633, 697],
-    [557, 634, 697],
-    [633, 634, 697],
-    [558, 635, 698],
-    [558, 636, 698],
-    [635, 636, 698],
-    [559, 638, 699],
-    [559, 637, 699],
-    [637, 638, 699],
-    [757, 758, 875, 907, 874],
-    [869, 875, 907],
-    [868, 874, 907],
-    [751, 752, 869, 907, 868],
-    [635, 692, 869, 875, 698],
-    [698, 758, 875],
-    [633, 691, 868, 874, 697],
-    [697, 757, 874],
-    [692, 752, 869],
-    [691, 751, 868],
-    [639, 757, 758],
-    [498, 558, 698, 758, 639],
-    [497, 557, 697, 757, 639],
-    [624, 751, 752],
-    [757, 759, 878, 908, 876],
-    [872, 878, 908],
-    [870, 876, 908],
-    [753, 754, 872, 908, 870],
-    [637, 695, 872, 878, 699],
-    [699, 759, 878],
-    [634, 693, 870, 876, 697],
-    [697, 757, 876],
-    [695, 754, 872],
-    [693, 753, 870],
-    [639, 757, 759],
-    [499, 559, 699, 759, 639],
-    [629, 753, 754],
-    [758, 759, 879, 909, 877],
-    [873, 879, 909],
-    [871, 877, 909],
-    [755, 756, 873, 909, 871],
-    [638, 696, 873, 879, 699],
-    [699, 759, 879],
-    [636, 694, 871, 877, 698],
-    [698, 758, 877],
-    [696, 756, 873],
-    [694, 755, 871],
-    [639, 758, 759],
-    [630, 755, 756],
-    [700, 701, 702],
-    [703, 704, 709],
-    [705, 706, 710],
-    [707, 708, 711],
-    [712, 718, 724],
-    [713, 719, 725],
-    [714, 720, 726],
-    [716, 721, 728],
-    [715, 722, 727],
-    [717, 723, 729],
-    [730, 736, 742],
-    [732, 737, 744],
-    [731, 738, 743],
-    [733, 739, 745],
-    [734, 740, 746],
-    [735, 741, 747],
-    [748, 751, 752],
-    [749, 753, 754],
-    [750, 755, 756],
-    [757, 758, 759],
-    [640, 760, 761],
-    [700, 760, 761],
-    [641, 762, 764],
-    [701, 762, 764],
-    [642, 763, 765],
-    [702, 763, 765],
-    [643, 766, 772],
-    [703, 766, 772],
-    [644, 767, 773],
-    [705, 767, 773],
-    [645, 768, 774],
-    [704, 768, 774],
-    [646, 769, 775],
-    [706, 769, 775],
-    [647, 770, 776],
-    [707, 770, 776],
-    [648, 771, 777],
-    [708, 771, 777],
-    [649, 778, 784],
-    [712, 778, 784],
-    [650, 779, 785],
-    [713, 779, 785],
-    [655, 786, 787],
-    [709, 786, 787],
-    [656, 788, 789],
-    [710, 788, 789],
-    [651, 780, 790],
-    [714, 780, 790],
-    [652, 782, 791],
-    [715, 782, 791],
-    [653, 781, 792],
-    [716, 781, 792],
-    [654, 783, 793],
-    [717, 783, 793],
-    [657, 794, 795],
-    [711, 794, 795],
-    [658, 796, 803],
-    [718, 796, 803],
-    [660, 798, 805],
-    [719, 798, 805],
-    [659, 797, 806],
-    [720, 797, 806],
-    [661, 799, 808],
-    [721, 799, 808],
-    [662, 800, 811],
-    [722, 800, 811],
-    [663, 801, 813],
-    [723, 801, 813],
-    [664, 802, 814],
-    [724, 802, 814],
-    [665, 804, 815],
-    [725, 804, 815],
-    [726, 807, 816],
-    [666, 807, 816],
-    [667, 809, 817],
-    [727, 809, 817],
-    [668, 810, 818],
-    [728, 810, 818],
-    [669, 812, 819],
-    [729, 812, 819],
-    [670, 820, 827],
-    [730, 820, 827],
-    [671, 821, 829],
-    [731, 821, 829],
-    [672, 822, 830],
-    [732, 822, 830],
-    [733, 823, 832],
-    [673, 823, 832],
-    [674, 824, 835],
-    [734, 824, 835],
-    [675, 825, 837],
-    [735, 825, 837],
-    [676, 826, 838],
-    [736, 826, 838],
-    [677, 828, 839],
-    [737, 828, 839],
-    [678, 831, 840],
-    [738, 831, 840],
-    [680, 833, 842],
-    [739, 833, 842],
-    [679, 834, 841],
-    [740, 834, 841],
-    [681, 836, 843],
-    [741, 836, 843],
-    [682, 844, 845],
-    [748, 844, 845],
-    [685, 846, 856],
-    [742, 846, 856],
-    [686, 847, 858],
-    [743, 847, 858],
-    [687, 848, 857],
-    [744, 848, 857],
-    [688, 849, 859],
-    [745, 849, 859],
-    [683, 850, 851],
-    [749, 850, 851],
-    [684, 852, 853],
-    [750, 852, 853],
-    [689, 854, 860],
-    [746, 854, 860],
-    [690, 855, 861],
-    [747, 855, 861],
-    [691, 862, 868],
-    [751, 862, 868],
-    [692, 863, 869],
-    [752, 863, 869],
-    [693, 864, 870],
-    [753, 864, 870],
-    [694, 865, 871],
-    [755, 865, 871],
-    [695, 866, 872],
-    [754, 866, 872],
-    [696, 867, 873],
-    [756, 867, 873],
-    [697, 874, 876],
-    [757, 874, 876],
-    [698, 875, 877],
-    [758, 875, 877],
-    [699, 878, 879],
-    [759, 878, 879],
-    [970, 973, 979, 980, 974],
-    [922, 979, 980],
-    [917, 974, 980],
-    [779, 785, 922, 980, 917],
-    [916, 973, 979],
-    [778, 784, 922, 979, 916],
-    [911, 970, 974],
-    [767, 773, 917, 974, 911],
-    [910, 970, 973],
-    [766, 772, 916, 973, 910],
-    [760, 761, 911, 970, 910],
-    [784, 785, 922],
-    [773, 779, 917],
-    [772, 778, 916],
-    [761, 767, 911],
-    [760, 766, 910],
-    [971, 975, 981, 982, 977],
-    [923, 981, 982],
-    [920, 977, 982],
-    [782, 791, 923, 982, 920],
-    [918, 975, 981],
-    [780, 790, 923, 981, 918],
-    [914, 971, 977],
-    [770, 776, 920, 977, 914],
-    [912, 971, 975],
-    [768, 774, 918, 975, 912],
-    [762, 764, 914, 971, 912],
-    [790, 791, 923],
-    [776, 782, 920],
-    [774, 780, 918],
-    [764, 770, 914],
-    [762, 768, 912],
-    [972, 976, 983, 984, 978],
-    [924, 983, 984],
-    [921, 978, 984],
-    [783, 793, 924, 984, 921],
-    [919, 976, 983],
-    [781, 792, 924, 983, 919],
-    [915, 972, 978],
-    [771, 777, 921, 978, 915],
-    [913, 972, 976],
-    [769, 775, 919, 976, 913],
-    [763, 765, 915, 972, 913],
-    [792, 793, 924],
-    [777, 783, 921],
-    [775, 781, 919],
-    [765, 771, 915],
-    [763, 769, 913],
-    [985, 988, 996, 997, 989],
-    [946, 996, 997],
-    [935, 989, 997],
-    [821, 829, 946, 997, 935],
-    [934, 988, 996],
-    [820, 827, 946, 996, 934],
-    [926, 985, 989],
-    [797, 806, 935, 989, 926],
-    [925, 985, 988],
-    [796, 803, 934, 988, 925],
-    [786, 787, 926, 985, 925],
-    [827, 829, 946],
-    [806, 821, 935],
-    [803, 820, 934],
-    [787, 797, 926],
-    [786, 796, 925],
-    [986, 990, 998, 999, 991],
-    [947, 998, 999],
-    [937, 991, 999],
-    [823, 832, 947, 999, 937],
-    [936, 990, 998],
-    [822, 830, 947, 998, 936],
-    [928, 986, 991],
-    [799, 808, 937, 991, 928],
-    [927, 986, 990],
-    [798, 805, 936, 990, 927],
-    [788, 789, 928, 986, 927],
-    [830, 832, 947],
-    [808, 823, 937],
-    [805, 822, 936],
-    [789, 799, 928],
-    [788, 798, 927],
-    [987, 992, 1004, 1005, 993],
-    [948, 1004, 1005],
-    [939, 993, 1005],
-    [825, 837, 948, 1005, 939],
-    [938, 992, 1004],
-    [824, 835, 948, 1004, 938],
-    [930, 987, 993],
-    [801, 813, 939, 993, 930],
-    [929, 987, 992],
-    [800, 811, 938, 992, 929],
-    [794, 795, 930, 987, 929],
-    [835, 837, 948],
-    [813, 825, 939],
-    [811, 824, 938],
-    [795, 801, 930],
-    [794, 800, 929],
-    [994, 995, 1007, 1012, 1006],
-    [950, 1007, 1012],
-    [949, 1006, 1012],
-    [844, 845, 950, 1012, 949],
-    [941, 995, 1007],
-    [828, 839, 950, 1007, 941],
-    [940, 994, 1006],
-    [826, 838, 949, 1006, 940],
-    [931, 994, 995],
-    [804, 815, 941, 995, 931],
-    [802, 814, 940, 994, 931],
-    [839, 845, 950],
-    [838, 844, 949],
-    [815, 828, 941],
-    [814, 826, 940],
-    [802, 804, 931],
-    [1000, 1001, 1009, 1013, 1008],
-    [952, 1009, 1013],
-    [951, 1008, 1013],
-    [850, 851, 952, 1013, 951],
-    [943, 1001, 1009],
-    [834, 841, 952, 1009, 943],
-    [942, 1000, 1008],
-    [831, 840, 951, 1008, 942],
-    [932, 1000, 1001],
-    [809, 817, 943, 1001, 932],
-    [807, 816, 942, 1000, 932],
-    [841, 851, 952],
-    [840, 850, 951],
-    [817, 834, 943],
-    [816, 831, 942],
-    [807, 809, 932],
-    [1002, 1003, 1011, 1014, 1010],
-    [954, 1011, 1014],
-    [953, 1010, 1014],
-    [852, 853, 954, 1014, 953],
-    [945, 1003, 1011],
-    [836, 843, 954, 1011, 945],
-    [944, 1002, 1010],
-    [833, 842, 953, 1010, 944],
-    [933, 1002, 1003],
-    [812, 819, 945, 1003, 933],
-    [810, 818, 944, 1002, 933],
-    [843, 853, 954],
-    [842, 852, 953],
-    [819, 836, 945],
-    [818, 833, 944],
-    [810, 812, 933],
-    [1015, 1016, 1023, 1027, 1021],
-    [966, 1023, 1027],
-    [964, 1021, 1027],
-    [874, 876, 966, 1027, 964],
-    [960, 1016, 1023],
-    [864, 870, 966, 1023, 960],
-    [958, 1015, 1021],
-    [862, 868, 964, 1021, 958],
-    [955, 1015, 1016],
-    [847, 858, 960, 1016, 955],
-    [846, 856, 958, 1015, 955],
-    [870, 876, 966],
-    [868, 874, 964],
-    [858, 864, 960],
-    [856, 862, 958],
-    [846, 847, 955],
-    [1017, 1018, 1024, 1028, 1022],
-    [967, 1024, 1028],
-    [965, 1022, 1028],
-    [875, 877, 967, 1028, 965],
-    [961, 1018, 1024],
-    [865, 871, 967, 1024, 961],
-    [959, 1017, 1022],
-    [863, 869, 965, 1022, 959],
-    [956, 1017, 1018],
-    [849, 859, 961, 1018, 956],
-    [848, 857, 959, 1017, 956],
-    [871, 877, 967],
-    [869, 875, 965],
-    [859, 865, 961],
-    [857, 863, 959],
-    [848, 849, 956],
-    [1019, 1020, 1026, 1029, 1025],
-    [969, 1026, 1029],
-    [968, 1025, 1029],
-    [878, 879, 969, 1029, 968],
-    [963, 1020, 1026],
-    [867, 873, 969, 1026, 963],
-    [962, 1019, 1025],
-    [866, 872, 968, 1025, 962],
-    [957, 1019, 1020],
-    [855, 861, 963, 1020, 957],
-    [854, 860, 962, 1019, 957],
-    [873, 879, 969],
-    [872, 878, 968],
-    [861, 867, 963],
-    [860, 866, 962],
-    [854, 855, 957],
-    [766, 880, 910],
-    [760, 880, 910],
-    [761, 881, 911],
-    [767, 881, 911],
-    [762, 880, 912],
-    [768, 880, 912],
-    [763, 881, 913],
-    [769, 881, 913],
-    [764, 882, 914],
-    [770, 882, 914],
-    [765, 882, 915],
-    [771, 882, 915],
-    [772, 883, 916],
-    [778, 883, 916],
-    [773, 884, 917],
-    [779, 884, 917],
-    [774, 885, 918],
-    [780, 885, 918],
-    [781, 886, 919],
-    [775, 886, 919],
-    [776, 887, 920],
-    [782, 887, 920],
-    [777, 888, 921],
-    [783, 888, 921],
-    [784, 889, 922],
-    [785, 889, 922],
-    [796, 883, 925],
-    [786, 883, 925],
-    [787, 885, 926],
-    [797, 885, 926],
-    [788, 884, 927],
-    [798, 884, 927],
-    [789, 886, 928],
-    [799, 886, 928],
-    [791, 890, 923],
-    [790, 890, 923],
-    [793, 891, 924],
-    [792, 891, 924],
-    [794, 887, 929],
-    [800, 887, 929],
-    [801, 888, 930],
-    [795, 888, 930],
-    [802, 889, 931],
-    [804, 889, 931],
-    [809, 890, 932],
-    [807, 890, 932],
-    [812, 891, 933],
-    [810, 891, 933],
-    [803, 892, 934],
-    [820, 892, 934],
-    [805, 893, 936],
-    [822, 893, 936],
-    [821, 894, 935],
-    [806, 894, 935],
-    [808, 895, 937],
-    [823, 895, 937],
-    [811, 896, 938],
-    [824, 896, 938],
-    [813, 897, 939],
-    [825, 897, 939],
-    [826, 892, 940],
-    [814, 892, 940],
-    [828, 893, 941],
-    [815, 893, 941],
-    [831, 894, 942],
-    [816, 894, 942],
-    [818, 895, 944],
-    [833, 895, 944],
-    [834, 896, 943],
-    [817, 896, 943],
-    [836, 897, 945],
-    [819, 897, 945],
-    [827, 898, 946],
-    [829, 898, 946],
-    [830, 899, 947],
-    [832, 899, 947],
-    [837, 900, 948],
-    [835, 900, 948],
-    [838, 901, 949],
-    [844, 901, 949],
-    [845, 902, 950],
-    [839, 902, 950],
-    [846, 898, 955],
-    [847, 898, 955],
-    [848, 899, 956],
-    [849, 899, 956],
-    [850, 903, 951],
-    [840, 903, 951],
-    [841, 905, 952],
-    [851, 905, 952],
-    [852, 904, 953],
-    [842, 904, 953],
-    [843, 906, 954],
-    [853, 906, 954],
-    [855, 900, 957],
-    [854, 900, 957],
-    [862, 901, 958],
-    [856, 901, 958],
-    [863, 902, 959],
-    [857, 902, 959],
-    [858, 903, 960],
-    [864, 903, 960],
-    [865, 904, 961],
-    [859, 904, 961],
-    [860, 905, 962],
-    [866, 905, 962],
-    [867, 906, 963],
-    [861, 906, 963],
-    [874, 907, 964],
-    [868, 907, 964],
-    [875, 907, 965],
-    [869, 907, 965],
-    [876, 908, 966],
-    [870, 908, 966],
-    [877, 909, 967],
-    [871, 909, 967],
-    [878, 908, 968],
-    [872, 908, 968],
-    [873, 909, 969],
-    [879, 909, 969],
-    [1090, 1091, 1092],
-    [972, 1033, 1091, 1092, 1035],
-    [971, 1032, 1090, 1092, 1034],
-    [1034, 1035, 1092],
-    [970, 1030, 1090, 1091, 1031],
-    [1031, 1033, 1091],
-    [1030, 1032, 1090],
-    [882, 914, 1034, 1035, 915],
-    [915, 972, 1035],
-    [914, 971, 1034],
-    [881, 911, 1031, 1033, 913],
-    [913, 972, 1033],
-    [880, 910, 1030, 1032, 912],
-    [912, 971, 1032],
-    [911, 970, 1031],
-    [910, 970, 1030],
-    [1093, 1096, 1097],
-    [985, 1043, 1096, 1097, 1044],
-    [975, 1032, 1093, 1097, 1038],
-    [1038, 1044, 1097],
-    [973, 1030, 1093, 1096, 1036],
-    [1036, 1043, 1096],
-    [1030, 1032, 1093],
-    [885, 918, 1038, 1044, 926],
-    [926, 985, 1044],
-    [883, 916, 1036, 1043, 925],
-    [925, 985, 1043],
-    [918, 975, 1038],
-    [916, 973, 1036],
-    [912, 975, 1032],
-    [910, 973, 1030],
-    [1094, 1098, 1099],
-    [986, 1045, 1098, 1099, 1046],
-    [976, 1033, 1094, 1099, 1039],
-    [1039, 1046, 1099],
-    [974, 1031, 1094, 1098, 1037],
-    [1037, 1045, 1098],
-    [1031, 1033, 1094],
-    [886, 919, 1039, 1046, 928],
-    [928, 986, 1046],
-    [884, 917, 1037, 1045, 927],
-    [927, 986, 1045],
-    [919, 976, 1039],
-    [917, 974, 1037],
-    [913, 976, 1033],
-    [911, 974, 1031],
-    [1095, 1100, 1101],
-    [987, 1049, 1100, 1101, 1050],
-    [978, 1035, 1095, 1101, 1041],
-    [1041, 1050, 1101],
-    [977, 1034, 1095, 1100, 1040],
-    [1040, 1049, 1100],
-    [1034, 1035, 1095],
-    [888, 921, 1041, 1050, 930],
-    [930, 987, 1050],
-    [887, 920, 1040, 1049, 929],
-    [929, 987, 1049],
-    [921, 978, 1041],
-    [920, 977, 1040],
-    [915, 978, 1035],
-    [914, 977, 1034],
-    [1102, 1108, 1114],
-    [994, 1051, 1108, 1114, 1060],
-    [988, 1043, 1102, 1114, 1054],
-    [1054, 1060, 1114],
-    [979, 1036, 1102, 1108, 1042],
-    [1042, 1051, 1108],
-    [1036, 1043, 1102],
-    [892, 934, 1054, 1060, 940],
-    [940, 994, 1060],
-    [934, 988, 1054],
-    [889, 922, 1042, 1051, 931],
-    [931, 994, 1051],
-    [925, 988, 1043],
-    [922, 979, 1042],
-    [916, 979, 1036],
-    [1103, 1109, 1115],
-    [995, 1051, 1109, 1115, 1061],
-    [990, 1045, 1103, 1115, 1055],
-    [1055, 1061, 1115],
-    [980, 1037, 1103, 1109, 1042],
-    [1042, 1051, 1109],
-    [1037, 1045, 1103],
-    [893, 936, 1055, 1061, 941],
-    [941, 995, 1061],
-    [936, 990, 1055],
-    [931, 995, 1051],
-    [927, 990, 1045],
-    [922, 980, 1042],
-    [917, 980, 1037],
-    [1104, 1110, 1116],
-    [1000, 1052, 1110, 1116, 1062],
-    [989, 1044, 1104, 1116, 1056],
-    [1056, 1062, 1116],
-    [981, 1038, 1104, 1110, 1047],
-    [1047, 1052, 1110],
-    [1038, 1044, 1104],
-    [894, 935, 1056, 1062, 942],
-    [942, 1000, 1062],
-    [935, 989, 1056],
-    [890, 923, 1047, 1052, 932],
-    [932, 1000, 1052],
-    [923, 981, 1047],
-    [926, 989, 1044],
-    [918, 981, 1038],
-    [1105, 1112, 1117],
-    [1002, 1053, 1112, 1117, 1063],
-    [991, 1046, 1105, 1117, 1057],
-    [1057, 1063, 1117],
-    [983, 1039, 1105, 1112, 1048],
-    [1048, 1053, 1112],
-    [1039, 1046, 1105],
-    [895, 937, 1057, 1063, 944],
-    [944, 1002, 1063],
-    [937, 991, 1057],
-    [891, 924, 1048, 1053, 933],
-    [933, 1002, 1053],
-    [924, 983, 1048],
-    [928, 991, 1046],
-    [919, 983, 1039],
-    [1106, 1111, 1118],
-    [1001, 1052, 1111, 1118, 1064],
-    [992, 1049, 1106, 1118, 1058],
-    [1058, 1064, 1118],
-    [982, 1040, 1106, 1111, 1047],
-    [1047, 1052, 1111],
-    [1040, 1049, 1106],
-    [896, 938, 1058, 1064, 943],
-    [943, 1001, 1064],
-    [938, 992, 1058],
-    [932, 1001, 1052],
-    [929, 992, 1049],
-    [923, 982, 1047],
-    [920, 982, 1040],
-    [1107, 1113, 1119],
-    [1003, 1053, 1113, 1119, 1065],
-    [993, 1050, 1107, 1119, 1059],
-    [1059, 1065, 1119],
-    [984, 1041, 1107, 1113, 1048],
-    [1048, 1053, 1113],
-    [1041, 1050, 1107],
-    [897, 939, 1059, 1065, 945],
-    [945, 1003, 1065],
-    [939, 993, 1059],
-    [933, 1003, 1053],
-    [930, 993, 1050],
-    [924, 984, 1048],
-    [921, 984, 1041],
-    [1120, 1126, 1132],
-    [1015, 1071, 1126, 1132, 1078],
-    [1006, 1060, 1120, 1132, 1069],
-    [1069, 1078, 1132],
-    [996, 1054, 1120, 1126, 1066],
-    [1066, 1071, 1126],
-    [1054, 1060, 1120],
-    [901, 949, 1069, 1078, 958],
-    [958, 1015, 1078],
-    [898, 946, 1066, 1071, 955],
-    [955, 1015, 1071],
-    [949, 1006, 1069],
-    [946, 996, 1066],
-    [940, 1006, 1060],
-    [934, 996, 1054],
-    [1121, 1128, 1133],
-    [1017, 1072, 1128, 1133, 1079],
-    [1007, 1061, 1121, 1133, 1070],
-    [1070, 1079, 1133],
-    [998, 1055, 1121, 1128, 1067],
-    [1067, 1072, 1128],
-    [1055, 1061, 1121],
-    [902, 950, 1070, 1079, 959],
-    [959, 1017, 1079],
-    [899, 947, 1067, 1072, 956],
-    [956, 1017, 1072],
-    [950, 1007, 1070],
-    [947, 998, 1067],
-    [941, 1007, 1061],
-    [936, 998, 1055],
-    [1122, 1127, 1134],
-    [1016, 1071, 1127, 1134, 1080],
-    [1008, 1062, 1122, 1134, 1073],
-    [1073, 1080, 1134],
-    [997, 1056, 1122, 1127, 1066],
-    [1066, 1071, 1127],
-    [1056, 1062, 1122],
-    [903, 951, 1073, 1080, 960],
-    [960, 1016, 1080],
-    [951, 1008, 1073],
-    [955, 1016, 1071],
-    [946, 997, 1066],
-    [942, 1008, 1062],
-    [935, 997, 1056],
-    [1123, 1129, 1135],
-    [1018, 1072, 1129, 1135, 1081],
-    [1010, 1063, 1123, 1135, 1075],
-    [1075, 1081, 1135],
-    [999, 1057, 1123, 1129, 1067],
-    [1067, 1072, 1129],
-    [1057, 1063, 1123],
-    [904, 953, 1075, 1081, 961],
-    [961, 1018, 1081],
-    [953, 1010, 1075],
-    [956, 1018, 1072],
-    [947, 999, 1067],
-    [944, 1010, 1063],
-    [937, 999, 1057],
-    [1124, 1130, 1136],
-    [1019, 1077, 1130, 1136, 1082],
-    [1009, 1064, 1124, 1136, 1074],
-    [1074, 1082, 1136],
-    [1004, 1058, 1124, 1130, 1068],
-    [1068, 1077, 1130],
-    [1058, 1064, 1124],
-    [905, 952, 1074, 1082, 962],
-    [962, 1019, 1082],
-    [900, 948, 1068, 1077, 957],
-    [957, 1019, 1077],
-    [952, 1009, 1074],
-    [948, 1004, 1068],
-    [943, 1009, 1064],
-    [938, 1004, 1058],
-    [1125, 1131, 1137],
-    [1020, 1077, 1131, 1137, 1083],
-    [1011, 1065, 1125, 1137, 1076],
-    [1076, 1083, 1137],
-    [1005, 1059, 1125, 1131, 1068],
-    [1068, 1077, 1131],
-    [1059, 1065, 1125],
-    [906, 954, 1076, 1083, 963],
-    [963, 1020, 1083],
-    [957, 1020, 1077],
-    [954, 1011, 1076],
-    [948, 1005, 1068],
-    [945, 1011, 1065],
-    [939, 1005, 1059],
-    [1138, 1139, 1144],
-    [1022, 1079, 1139, 1144, 1085],
-    [1021, 1078, 1138, 1144, 1084],
-    [1084, 1085, 1144],
-    [1012, 1069, 1138, 1139, 1070],
-    [1070, 1079, 1139],
-    [1069, 1078, 1138],
-    [907, 964, 1084, 1085, 965],
-    [965, 1022, 1085],
-    [964, 1021, 1084],
-    [959, 1022, 1079],
-    [958, 1021, 1078],
-    [950, 1012, 1070],
-    [949, 1012, 1069],
-    [1140, 1141, 1145],
-    [1025, 1082, 1141, 1145, 1088],
-    [1023, 1080, 1140, 1145, 1086],
-    [1086, 1088, 1145],
-    [1013, 1073, 1140, 1141, 1074],
-    [1074, 1082, 1141],
-    [1073, 1080, 1140],
-    [908, 966, 1086, 1088, 968],
-    [968, 1025, 1088],
-    [966, 1023, 1086],
-    [962, 1025, 1082],
-    [960, 1023, 1080],
-    [952, 1013, 1074],
-    [951, 1013, 1073],
-    [1142, 1143, 1146],
-    [1026, 1083, 1143, 1146, 1089],
-    [1024, 1081, 1142, 1146, 1087],
-    [1087, 1089, 1146],
-    [1014, 1075, 1142, 1143, 1076],
-    [1076, 1083, 1143],
-    [1075, 1081, 1142],
-    [909, 967, 1087, 1089, 969],
-    [969, 1026, 1089],
-    [967, 1024, 1087],
-    [963, 1026, 1083],
-    [961, 1024, 1081],
-    [954, 1014, 1076],
-    [953, 1014, 1075],
-    [1147, 1148, 1149],
-    [1029, 1088, 1148, 1149, 1089],
-    [1028, 1085, 1147, 1149, 1087],
-    [1087, 1089, 1149],
-    [1027, 1084, 1147, 1148, 1086],
-    [1086, 1088, 1148],
-    [1084, 1085, 1147],
-    [969, 1029, 1089],
-    [968, 1029, 1088],
-    [967, 1028, 1087],
-    [966, 1027, 1086],
-    [965, 1028, 1085],
-    [964, 1027, 1084],
-    [970, 973, 1030],
-    [970, 974, 1031],
-    [971, 975, 1032],
-    [972, 976, 1033],
-    [971, 977, 1034],
-    [972, 978, 1035],
-    [973, 979, 1036],
-    [974, 980, 1037],
-    [975, 981, 1038],
-    [976, 983, 1039],
-    [977, 982, 1040],
-    [978, 984, 1041],
-    [979, 980, 1042],
-    [981, 982, 1047],
-    [983, 984, 1048],
-    [985, 988, 1043],
-    [985, 989, 1044],
-    [986, 990, 1045],
-    [986, 991, 1046],
-    [987, 992, 1049],
-    [987, 993, 1050],
-    [994, 995, 1051],
-    [988, 996, 1054],
-    [989, 997, 1056],
-    [990, 998, 1055],
-    [991, 999, 1057],
-    [1000, 1001, 1052],
-    [1002, 1003, 1053],
-    [992, 1004, 1058],
-    [993, 1005, 1059],
-    [994, 1006, 1060],
-    [995, 1007, 1061],
-    [996, 997, 1066],
-    [998, 999, 1067],
-    [1000, 1008, 1062],
-    [1001, 1009, 1064],
-    [1002, 1010, 1063],
-    [1003, 1011, 1065],
-    [1004, 1005, 1068],
-    [1006, 1012, 1069],
-    [1007, 1012, 1070],
-    [1008, 1013, 1073],
-    [1009, 1013, 1074],
-    [1010, 1014, 1075],
-    [1011, 1014, 1076],
-    [1015, 1016, 1071],
-    [1017, 1018, 1072],
-    [1019, 1020, 1077],
-    [1015, 1021, 1078],
-    [1017, 1022, 1079],
-    [1016, 1023, 1080],
-    [1018, 1024, 1081],
-    [1019, 1025, 1082],
-    [1020, 1026, 1083],
-    [1021, 1027, 1084],
-    [1022, 1028, 1085],
-    [1023, 1027, 1086],
-    [1024, 1028, 1087],
-    [1025, 1029, 1088],
-    [1026, 1029, 1089],
-    [1030, 1090, 1093],
-    [1032, 1090, 1093],
-    [1031, 1091, 1094],
-    [1033, 1091, 1094],
-    [1035, 1092, 1095],
-    [1034, 1092, 1095],
-    [1036, 1096, 1102],
-    [1043, 1096, 1102],
-    [1037, 1098, 1103],
-    [1045, 1098, 1103],
-    [1038, 1097, 1104],
-    [1044, 1097, 1104],
-    [1039, 1099, 1105],
-    [1046, 1099, 1105],
-    [1049, 1100, 1106],
-    [1040, 1100, 1106],
-    [1041, 1101, 1107],
-    [1050, 1101, 1107],
-    [1042, 1108, 1109],
-    [1051, 1108, 1109],
-    [1047, 1110, 1111],
-    [1052, 1110, 1111],
-    [1048, 1112, 1113],
-    [1053, 1112, 1113],
-    [1060, 1114, 1120],
-    [1054, 1114, 1120],
-    [1061, 1115, 1121],
-    [1055, 1115, 1121],
-    [1056, 1116, 1122],
-    [1062, 1116, 1122],
-    [1063, 1117, 1123],
-    [1057, 1117, 1123],
-    [1058, 1118, 1124],
-    [1064, 1118, 1124],
-    [1059, 1119, 1125],
-    [1065, 1119, 1125],
-    [1071, 1126, 1127],
-    [1066, 1126, 1127],
-    [1072, 1128, 1129],
-    [1067, 1128, 1129],
-    [1077, 1130, 1131],
-    [1068, 1130, 1131],
-    [1069, 1132, 1138],
-    [1078, 1132, 1138],
-    [1070, 1133, 1139],
-    [1079, 1133, 1139],
-    [1080, 1134, 1140],
-    [1073, 1134, 1140],
-    [1075, 1135, 1142],
-    [1081, 1135, 1142],
-    [1082, 1136, 1141],
-    [1074, 1136, 1141],
-    [1083, 1137, 1143],
-    [1076, 1137, 1143],
-    [1084, 1144, 1147],
-    [1085, 1144, 1147],
-    [1088, 1145, 1148],
-    [1086, 1145, 1148],
-    [1089, 1146, 1149],
-    [1087, 1146, 1149],
-    [1090, 1092, 1150],
-    [1091, 1092, 1150],
-    [1090, 1091, 1150],
-    [1093, 1096, 1151],
-    [1093, 1097, 1151],
-    [1096, 1097, 1151],
-    [1094, 1098, 1152],
-    [1098, 1099, 1152],
-    [1094, 1099, 1152],
-    [1095, 1101, 1153],
-    [1095, 1100, 1153],
-    [1100, 1101, 1153],
-    [1102, 1114, 1154],
-    [1108, 1114, 1154],
-    [1102, 1108, 1154],
-    [1103, 1109, 1155],
-    [1103, 1115, 1155],
-    [1109, 1115, 1155],
-    [1104, 1110, 1156],
-    [1104, 1116, 1156],
-    [1110, 1116, 1156],
-    [1105, 1112, 1157],
-    [1112, 1117, 1157],
-    [1105, 1117, 1157],
-    [1106, 1118, 1158],
-    [1106, 1111, 1158],
-    [1111, 1118, 1158],
-    [1107, 1119, 1159],
-    [1113, 1119, 1159],
-    [1107, 1113, 1159],
-    [1120, 1132, 1160],
-    [1120, 1126, 1160],
-    [1126, 1132, 1160],
-    [1121, 1133, 1161],
-    [1128, 1133, 1161],
-    [1121, 1128, 1161],
-    [1127, 1134, 1162],
-    [1122, 1127, 1162],
-    [1122, 1134, 1162],
-    [1123, 1135, 1163],
-    [1129, 1135, 1163],
-    [1123, 1129, 1163],
-    [1130, 1136, 1164],
-    [1124, 1136, 1164],
-    [1124, 1130, 1164],
-    [1125, 1137, 1165],
-    [1125, 1131, 1165],
-    [1131, 1137, 1165],
-    [1138, 1144, 1166],
-    [1139, 1144, 1166],
-    [1138, 1139, 1166],
-    [1141, 1145, 1167],
-    [1140, 1141, 1167],
-    [1140, 1145, 1167],
-    [1143, 1146, 1168],
-    [1142, 1143, 1168],
-    [1142, 1146, 1168],
-    [1147, 1149, 1169],
-    [1147, 1148, 1169],
-    [1148, 1149, 1169],
-    [1170, 1171, 1174, 1179, 1173],
-    [1155, 1174, 1179],
-    [1154, 1173, 1179],
-    [1108, 1109, 1155, 1179, 1154],
-    [1152, 1171, 1174],
-    [1098, 1103, 1155, 1174, 1152],
-    [1151, 1170, 1173],
-    [1096, 1102, 1154, 1173, 1151],
-    [1150, 1170, 1171],
-    [1091, 1094, 1152, 1171, 1150],
-    [1090, 1093, 1151, 1170, 1150],
-    [1170, 1172, 1177, 1180, 1175],
-    [1158, 1177, 1180],
-    [1156, 1175, 1180],
-    [1110, 1111, 1158, 1180, 1156],
-    [1153, 1172, 1177],
-    [1100, 1106, 1158, 1177, 1153],
-    [1151, 1170, 1175],
-    [1097, 1104, 1156, 1175, 1151],
-    [1150, 1170, 1172],
-    [1092, 1095, 1153, 1172, 1150],
-    [1171, 1172, 1178, 1181, 1176],
-    [1159, 1178, 1181],
-    [1157, 1176, 1181],
-    [1112, 1113, 1159, 1181, 1157],
-    [1153, 1172, 1178],
-    [1101, 1107, 1159, 1178, 1153],
-    [1152, 1171, 1176],
-    [1099, 1105, 1157, 1176, 1152],
-    [1150, 1171, 1172],
-    [1173, 1175, 1184, 1188, 1182],
-    [1162, 1184, 1188],
-    [1160, 1182, 1188],
-    [1126, 1127, 1162, 1188, 1160],
-    [1156, 1175, 1184],
-    [1116, 1122, 1162, 1184, 1156],
-    [1154, 1173, 1182],
-    [1114, 1120, 1160, 1182, 1154],
-    [1151, 1173, 1175],
-    [1174, 1176, 1185, 1189, 1183],
-    [1163, 1185, 1189],
-    [1161, 1183, 1189],
-    [1128, 1129, 1163, 1189, 1161],
-    [1157, 1176, 1185],
-    [1117, 1123, 1163, 1185, 1157],
-    [1155, 1174, 1183],
-    [1115, 1121, 1161, 1183, 1155],
-    [1152, 1174, 1176],
-    [1177, 1178, 1187, 1190, 1186],
-    [1165, 1187, 1190],
-    [1164, 1186, 1190],
-    [1130, 1131, 1165, 1190, 1164],
-    [1159, 1178, 1187],
-    [1119, 1125, 1165, 1187, 1159],
-    [1158, 1177, 1186],
-    [1118, 1124, 1164, 1186, 1158],
-    [1153, 1177, 1178],
-    [1179, 1182, 1191, 1192, 1183],
-    [1166, 1191, 1192],
-    [1161, 1183, 1192],
-    [1133, 1139, 1166, 1192, 1161],
-    [1160, 1182, 1191],
-    [1132, 1138, 1166, 1191, 1160],
-    [1155, 1179, 1183],
-    [1154, 1179, 1182],
-    [1180, 1184, 1193, 1195, 1186],
-    [1167, 1193, 1195],
-    [1164, 1186, 1195],
-    [1136, 1141, 1167, 1195, 1164],
-    [1162, 1184, 1193],
-    [1134, 1140, 1167, 1193, 1162],
-    [1158, 1180, 1186],
-    [1156, 1180, 1184],
-    [1181, 1185, 1194, 1196, 1187],
-    [1168, 1194, 1196],
-    [1165, 1187, 1196],
-    [1137, 1143, 1168, 1196, 1165],
-    [1163, 1185, 1194],
-    [1135, 1142, 1168, 1194, 1163],
-    [1159, 1181, 1187],
-    [1157, 1181, 1185],
-    [1188, 1191, 1197, 1198, 1193],
-    [1169, 1197, 1198],
-    [1167, 1193, 1198],
-    [1145, 1148, 1169, 1198, 1167],
-    [1166, 1191, 1197],
-    [1144, 1147, 1169, 1197, 1166],
-    [1162, 1188, 1193],
-    [1160, 1188, 1191],
-    [1189, 1192, 1197, 1199, 1194],
-    [1169, 1197, 1199],
-    [1168, 1194, 1199],
-    [1146, 1149, 1169, 1199, 1168],
-    [1166, 1192, 1197],
-    [1163, 1189, 1194],
-    [1161, 1189, 1192],
-    [1190, 1195, 1198, 1199, 1196],
-    [1169, 1198, 1199],
-    [1168, 1196, 1199],
-    [1167, 1195, 1198],
-    [1165, 1190, 1196],
-    [1164, 1190, 1195],
-    [1170, 1171, 1172],
-    [1170, 1173, 1175],
-    [1171, 1174, 1176],
-    [1172, 1177, 1178],
-    [1173, 1179, 1182],
-    [1174, 1179, 1183],
-    [1175, 1180, 1184],
-    [1176, 1181, 1185],
-    [1177, 1180, 1186],
-    [1178, 1181, 1187],
-    [1182, 1188, 1191],
-    [1183, 1189, 1192],
-    [1184, 1188, 1193],
-    [1185, 1189, 1194],
-    [1186, 1190, 1195],
-    [1187, 1190, 1196],
-    [1191, 1192, 1197],
-    [1193, 1195, 1198],
-    [1194, 1196, 1199],
-    [1197, 1198, 1199],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-    ],
-    [31, 32, 33, 34],
-    [30, 35, 36, 37],
-    [29, 38, 39, 40],
-    [28, 41, 42, 43],
-    [24, 44, 45, 46],
-    [23, 47, 48, 49],
-    [22, 50, 51, 52],
-    [21, 53, 54, 55],
-    [20, 56, 57, 58],
-    [19, 59, 60, 61],
-    [15, 62, 63, 64],
-    [14, 65, 66, 67],
-    [12, 68, 69, 70],
-    [11, 71, 72, 73],
-    [10, 74, 75, 76],
-    [8, 77, 78, 79],
-    [6, 80, 81, 82],
-    [5, 83, 84, 85],
-    [3, 86, 87, 88],
-    [0, 89, 90, 91],
-    [
-      92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106, 107,
-      108, 109, 110, 111, 112, 113, 114, 115, 116, 117, 48, 46, 39, 35, 34, 27,
-    ],
-    [
-      118, 119, 120, 121, 122, 123, 124, 125, 126, 127, 128, 129, 130, 131, 132,
-      133, 134, 135, 136, 137, 138, 139, 140, 141, 116, 142, 58, 51, 42, 36, 32,
-      26,
-    ],
-    [
-      143, 144, 145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157,
-      158, 159, 160, 161, 162, 163, 164, 165, 141, 115, 166, 61, 54, 41, 40, 33,
-      25,
-    ],
-    [
-      167, 168, 169, 170, 171, 172, 173, 174, 175, 176, 177, 178, 179, 180, 181,
-      182, 183, 184, 185, 186, 187, 188, 189, 138, 112, 190, 70, 63, 52, 44, 37,
-      18,
-    ],
-    [
-      191, 192, 193, 194, 195, 196, 197, 198, 199, 200, 201, 202, 203, 204, 205,
-      206, 207, 208, 209, 210, 211, 212, 213, 163, 111, 214, 71, 65, 53, 47, 38,
-      17,
-    ],
-    [
-      215, 216, 217, 218, 219, 220, 221, 222, 223, 224, 225, 226, 227, 228, 229,
-      230, 231, 232, 233, 234, 235, 236, 237, 162, 137, 238, 78, 76, 59, 57, 43,
-      16,
-    ],
-    [
-      239, 240, 241, 242, 243, 244, 245, 246, 247, 248, 249, 250, 251, 252, 253,
-      254, 255, 256, 257, 258, 259, 211, 187, 260, 261, 108, 82, 66, 62, 49, 45,
-      13,
-    ],
-    [
-      262, 263, 264, 265, 266, 267, 268, 269, 270, 271, 272, 273, 274, 275, 276,
-      277, 278, 279, 280, 281, 282, 235, 186, 283, 284, 134, 83, 74, 68, 56, 50,
-      9,
-    ],
-    [
-      285, 286, 287, 288, 289, 290, 291, 292, 293, 294, 295, 296, 297, 298, 299,
-      300, 301, 302, 303, 304, 305, 234, 210, 306, 307, 159, 87, 77, 72, 60, 55,
-      7,
-    ],
-    [
-      308, 309, 310, 311, 312, 313, 314, 315, 316, 317, 318, 319, 320, 321, 322,
-      323, 324, 325, 326, 327, 328, 280, 257, 329, 330, 183, 90, 85, 80, 69, 64,
-      4,
-    ],
-    [
-      331, 332, 333, 334, 335, 336, 337, 338, 339, 340, 341, 342, 343, 344, 345,
-      346, 347, 348, 326, 349, 350, 303, 256, 351, 352, 207, 89, 88, 81, 73, 67,
-      2,
-    ],
-    [
-      353, 354, 355, 356, 357, 358, 359, 360, 361, 362, 363, 364, 365, 366, 367,
-      368, 369, 348, 325, 370, 371, 302, 279, 372, 373, 231, 91, 86, 84, 79, 75,
-      1,
-    ],
-    [117, 166, 142, 374],
-    [140, 190, 114, 375],
-    [165, 214, 113, 376],
-    [238, 139, 164, 377],
-    [110, 261, 189, 378],
-    [260, 213, 109, 379],
-    [284, 136, 188, 380],
-    [212, 307, 161, 381],
-    [283, 135, 237, 382],
-    [160, 306, 236, 383],
-    [330, 185, 259, 384],
-    [209, 352, 258, 385],
-    [282, 184, 329, 386],
-    [208, 305, 351, 387],
-    [233, 281, 373, 388],
-    [372, 232, 304, 389],
-    [255, 350, 328, 390],
-    [327, 278, 371, 391],
-    [301, 349, 370, 392],
-    [369, 324, 347, 393],
-    [133, 107, 394, 395],
-    [158, 106, 396, 397],
-    [132, 157, 398, 399],
-    [182, 105, 400, 401],
-    [206, 104, 402, 403],
-    [131, 181, 404, 405],
-    [205, 156, 406, 407],
-    [130, 230, 408, 409],
-    [155, 229, 410, 411],
-    [254, 103, 412, 413],
-    [277, 129, 414, 415],
-    [300, 154, 416, 417],
-    [180, 253, 418, 419],
-    [204, 252, 420, 421],
-    [276, 179, 422, 423],
-    [203, 299, 424, 425],
-    [275, 228, 426, 427],
-    [298, 227, 428, 429],
-    [178, 323, 430, 431],
-    [202, 346, 432, 433],
-    [226, 368, 434, 435],
-    [251, 322, 436, 437],
-    [345, 250, 438, 439],
-    [274, 321, 440, 441],
-    [297, 344, 442, 443],
-    [273, 367, 444, 445],
-    [296, 366, 446, 447],
-    [343, 320, 448, 449],
-    [319, 365, 450, 451],
-    [342, 364, 452, 453],
-    [100, 454, 455, 456],
-    [98, 457, 458, 459],
-    [126, 460, 461, 462],
-    [151, 463, 464, 465],
-    [124, 466, 467, 468],
-    [149, 469, 470, 471],
-    [96, 472, 473, 474],
-    [94, 475, 476, 477],
-    [122, 478, 479, 480],
-    [147, 481, 482, 483],
-    [120, 484, 485, 486],
-    [145, 487, 488, 489],
-    [93, 490, 491, 492],
-    [119, 493, 494, 495],
-    [144, 496, 497, 498],
-    [175, 499, 500, 501],
-    [173, 502, 503, 504],
-    [199, 505, 506, 507],
-    [197, 508, 509, 510],
-    [223, 511, 512, 513],
-    [221, 514, 515, 516],
-    [247, 517, 518, 519],
-    [171, 520, 521, 522],
-    [169, 523, 524, 525],
-    [195, 526, 527, 528],
-    [193, 529, 530, 531],
-    [270, 532, 533, 534],
-    [293, 535, 536, 537],
-    [219, 538, 539, 540],
-    [217, 541, 542, 543],
-    [245, 544, 545, 546],
-    [243, 547, 548, 549],
-    [168, 550, 551, 552],
-    [192, 553, 554, 555],
-    [268, 556, 557, 558],
-    [266, 559, 560, 561],
-    [291, 562, 563, 564],
-    [289, 565, 566, 567],
-    [216, 568, 569, 570],
-    [241, 571, 572, 573],
-    [240, 574, 575, 576],
-    [264, 577, 578, 579],
-    [263, 580, 581, 582],
-    [287, 583, 584, 585],
-    [286, 586, 587, 588],
-    [316, 589, 590, 591],
-    [339, 592, 593, 594],
-    [361, 595, 596, 597],
-    [314, 598, 599, 600],
-    [337, 601, 602, 603],
-    [312, 604, 605, 606],
-    [335, 607, 608, 609],
-    [359, 610, 611, 612],
-    [357, 613, 614, 615],
-    [310, 616, 617, 618],
-    [333, 619, 620, 621],
-    [309, 622, 623, 624],
-    [332, 625, 626, 627],
-    [355, 628, 629, 630],
-    [354, 631, 632, 633],
-    [
-      634, 635, 636, 637, 638, 639, 640, 641, 642, 643, 644, 645, 646, 647, 648,
-      649, 650, 651, 652, 470, 466, 463, 460, 458, 455, 153, 128, 102, 399, 397,
-      395, 374,
-    ],
-    [
-      653, 654, 655, 656, 657, 658, 659, 660, 661, 662, 663, 664, 665, 666, 667,
-      668, 669, 670, 652, 503, 501, 479, 472, 462, 454, 177, 127, 101, 405, 400,
-      394, 375,
-    ],
-    [
-      671, 672, 673, 674, 675, 676, 677, 678, 679, 680, 681, 682, 683, 684, 685,
-      686, 687, 688, 651, 509, 505, 482, 475, 464, 457, 201, 152, 99, 407, 402,
-      396, 376,
-    ],
-    [
-      689, 690, 691, 692, 693, 694, 695, 696, 697, 698, 699, 700, 701, 702, 703,
-      704, 705, 706, 650, 515, 512, 487, 484, 469, 467, 225, 150, 125, 410, 409,
-      398, 377,
-    ],
-    [
-      707, 708, 709, 710, 711, 712, 713, 714, 715, 716, 717, 718, 719, 720, 721,
-      722, 723, 724, 670, 545, 520, 517, 499, 491, 473, 249, 176, 97, 419, 413,
-      401, 378,
-    ],
-    [
-      725, 726, 727, 728, 729, 730, 731, 732, 733, 734, 735, 736, 737, 738, 739,
-      740, 741, 724, 688, 548, 526, 518, 506, 490, 476, 248, 200, 95, 421, 412,
-      403, 379,
-    ],
-    [
-      742, 743, 744, 745, 746, 747, 748, 749, 750, 751, 752, 753, 754, 755, 756,
-      757, 758, 759, 669, 557, 523, 533, 502, 493, 478, 272, 174, 123, 422, 414,
-      404, 380,
-    ],
-    [
-      760, 761, 762, 763, 764, 765, 766, 767, 768, 769, 770, 771, 772, 773, 774,
-      775, 776, 777, 687, 563, 529, 536, 508, 496, 481, 295, 198, 148, 425, 416,
-      406, 381,
-    ],
-    [
-      778, 779, 780, 781, 782, 783, 784, 785, 786, 787, 788, 789, 790, 791, 792,
-      793, 794, 759, 706, 560, 538, 532, 511, 494, 485, 271, 224, 121, 426, 415,
-      408, 382,
-    ],
-    [
-      795, 796, 797, 798, 799, 800, 801, 802, 803, 804, 805, 806, 807, 808, 809,
-      810, 811, 777, 705, 566, 541, 535, 514, 497, 488, 294, 222, 146, 428, 417,
-      411, 383,
-    ],
-    [
-      812, 813, 814, 815, 816, 817, 818, 819, 820, 821, 822, 823, 824, 825, 826,
-      827, 828, 829, 723, 599, 590, 571, 550, 544, 521, 318, 246, 172, 436, 431,
-      418, 384,
-    ],
-    [
-      830, 831, 832, 833, 834, 835, 836, 837, 838, 839, 840, 841, 842, 843, 844,
-      845, 846, 847, 741, 602, 593, 574, 553, 547, 527, 341, 244, 196, 438, 433,
-      420, 385,
-    ],
-    [
-      848, 849, 850, 851, 852, 853, 854, 855, 856, 857, 858, 859, 860, 861, 862,
-      863, 864, 829, 758, 604, 589, 577, 551, 556, 524, 317, 269, 170, 440, 430,
-      423, 386,
-    ],
-    [
-      865, 866, 867, 868, 869, 870, 871, 872, 873, 874, 875, 876, 877, 878, 879,
-      880, 881, 847, 776, 607, 592, 583, 555, 562, 531, 340, 292, 194, 442, 432,
-      424, 387,
-    ],
-    [
-      882, 883, 884, 885, 886, 887, 888, 889, 890, 891, 892, 893, 894, 895, 896,
-      897, 898, 899, 794, 610, 595, 580, 569, 559, 539, 363, 267, 220, 444, 434,
-      427, 388,
-    ],
-    [
-      900, 901, 902, 903, 904, 905, 906, 907, 908, 909, 910, 911, 912, 913, 914,
-      915, 916, 899, 811, 614, 596, 586, 568, 565, 542, 362, 290, 218, 447, 435,
-      429, 389,
-    ],
-    [
-      917, 918, 919, 920, 921, 922, 923, 924, 925, 926, 927, 928, 929, 930, 931,
-      932, 933, 846, 828, 620, 616, 601, 598, 575, 572, 338, 315, 242, 448, 439,
-      437, 390,
-    ],
-    [
-      934, 935, 936, 937, 938, 939, 940, 941, 942, 943, 944, 945, 946, 947, 948,
-      949, 950, 898, 864, 628, 623, 611, 605, 581, 578, 360, 313, 265, 450, 445,
-      441, 391,
-    ],
-    [
-      951, 952, 953, 954, 955, 956, 957, 958, 959, 960, 961, 962, 963, 964, 965,
-      966, 967, 916, 881, 631, 627, 613, 608, 588, 584, 358, 336, 288, 452, 446,
-      443, 392,
-    ],
-    [
-      968, 969, 970, 971, 972, 973, 974, 975, 976, 977, 978, 979, 980, 981, 982,
-      983, 967, 950, 933, 632, 629, 625, 622, 619, 617, 356, 334, 311, 453, 451,
-      449, 393,
-    ],
-    [649, 668, 984, 985],
-    [686, 648, 986, 987],
-    [667, 646, 988, 989],
-    [685, 645, 990, 991],
-    [704, 644, 992, 993],
-    [703, 642, 994, 995],
-    [722, 666, 996, 997],
-    [684, 740, 998, 999],
-    [757, 664, 1000, 1001],
-    [682, 775, 1002, 1003],
-    [793, 702, 1004, 1005],
-    [810, 700, 1006, 1007],
-    [739, 721, 1008, 1009],
-    [662, 719, 1010, 1011],
-    [754, 661, 1012, 1013],
-    [680, 737, 1014, 1015],
-    [772, 679, 1016, 1017],
-    [756, 792, 1018, 1019],
-    [774, 809, 1020, 1021],
-    [790, 698, 1022, 1023],
-    [697, 807, 1024, 1025],
-    [736, 718, 1026, 1027],
-    [751, 789, 1028, 1029],
-    [769, 806, 1030, 1031],
-    [827, 717, 1032, 1033],
-    [845, 735, 1034, 1035],
-    [753, 863, 1036, 1037],
-    [880, 771, 1038, 1039],
-    [897, 788, 1040, 1041],
-    [915, 805, 1042, 1043],
-    [715, 826, 1044, 1045],
-    [733, 844, 1046, 1047],
-    [750, 860, 1048, 1049],
-    [877, 768, 1050, 1051],
-    [786, 896, 1052, 1053],
-    [803, 914, 1054, 1055],
-    [862, 825, 1056, 1057],
-    [879, 843, 1058, 1059],
-    [895, 913, 1060, 1061],
-    [932, 823, 1062, 1063],
-    [841, 931, 1064, 1065],
-    [857, 821, 1066, 1067],
-    [874, 839, 1068, 1069],
-    [859, 949, 1070, 1071],
-    [893, 948, 1072, 1073],
-    [876, 966, 1074, 1075],
-    [965, 911, 1076, 1077],
-    [891, 909, 1078, 1079],
-    [820, 929, 1080, 1081],
-    [838, 928, 1082, 1083],
-    [946, 856, 1084, 1085],
-    [873, 963, 1086, 1087],
-    [890, 945, 1088, 1089],
-    [908, 962, 1090, 1091],
-    [927, 983, 1092, 1093],
-    [925, 982, 1094, 1095],
-    [944, 981, 1096, 1097],
-    [961, 979, 1098, 1099],
-    [942, 977, 1100, 1101],
-    [976, 959, 1102, 1103],
-    [
-      1104, 1105, 1106, 1107, 1108, 1109, 1110, 1111, 1112, 1113, 1114, 1115,
-      1116, 1117, 1118, 1119, 1008, 738, 720, 998, 996, 683, 665, 986, 984, 647,
-      492, 477, 474, 459, 456, 92,
-    ],
-    [
-      1120, 1121, 1122, 1123, 1124, 1125, 1126, 1127, 1128, 1129, 1130, 1131,
-      1132, 1133, 1134, 1135, 1018, 791, 755, 1004, 1000, 701, 663, 992, 988,
-      643, 495, 486, 480, 468, 461, 118,
-    ],
-    [
-      1136, 1137, 1138, 1139, 1140, 1141, 1142, 1143, 1144, 1145, 1146, 1147,
-      1148, 1149, 1150, 1151, 1020, 808, 773, 1006, 1002, 699, 681, 994, 990,
-      641, 498, 489, 483, 471, 465, 143,
-    ],
-    [
-      1152, 1153, 1154, 1155, 1156, 1157, 1158, 1159, 1160, 1161, 1162, 1163,
-      1164, 1165, 1166, 1167, 1056, 861, 824, 1036, 1032, 752, 716, 1012, 1010,
-      660, 552, 525, 522, 504, 500, 167,
-    ],
-    [
-      1168, 1169, 1170, 1171, 1172, 1173, 1174, 1175, 1176, 1177, 1178, 1179,
-      1180, 1181, 1182, 1183, 1058, 878, 842, 1038, 1034, 770, 734, 1016, 1014,
-      678, 554, 530, 528, 510, 507, 191,
-    ],
-    [
-      1184, 1185, 1186, 1187, 1188, 1189, 1190, 1191, 1192, 1193, 1194, 1195,
-      1196, 1197, 1198, 1199, 1060, 912, 894, 1042, 1040, 804, 787, 1024, 1022,
-      696, 570, 543, 540, 516, 513, 215,
-    ],
-    [
-      1200, 1201, 1202, 1203, 1204, 1205, 1206, 1207, 1208, 1209, 1210, 1211,
-      1212, 1213, 1214, 1215, 930, 1064, 1062, 840, 822, 1046, 1044, 732, 714,
-      1026, 576, 573, 549, 546, 519, 239,
-    ],
-    [
-      1216, 1217, 1218, 1219, 1220, 1221, 1222, 1223, 1224, 1225, 1226, 1227,
-      1228, 1229, 1230, 1231, 947, 1072, 1070, 892, 858, 1052, 1048, 785, 749,
-      1028, 582, 579, 561, 558, 534, 262,
-    ],
-    [
-      1232, 1233, 1234, 1235, 1236, 1237, 1238, 1239, 1240, 1241, 1242, 1243,
-      1244, 1245, 1246, 1247, 964, 1076, 1074, 910, 875, 1054, 1050, 802, 767,
-      1030, 587, 585, 567, 564, 537, 285,
-    ],
-    [
-      1248, 1249, 1250, 1251, 1252, 1253, 1254, 1255, 1256, 1257, 1258, 1259,
-      1260, 1261, 1262, 1263, 980, 1096, 1092, 943, 926, 1084, 1080, 855, 819,
-      1066, 624, 618, 606, 600, 591, 308,
-    ],
-    [
-      1264, 1265, 1266, 1267, 1268, 1269, 1270, 1271, 1272, 1273, 1274, 1275,
-      1276, 1277, 1278, 1279, 978, 1098, 1094, 960, 924, 1086, 1082, 872, 837,
-      1068, 626, 621, 609, 603, 594, 331,
-    ],
-    [
-      1280, 1281, 1282, 1283, 1284, 1285, 1286, 1287, 1288, 1289, 1290, 1291,
-      1292, 1293, 1294, 1295, 975, 1102, 1100, 958, 941, 1090, 1088, 907, 889,
-      1078, 633, 630, 615, 612, 597, 353,
-    ],
-    [640, 1119, 1296, 1297],
-    [639, 1135, 1298, 1299],
-    [637, 1151, 1300, 1301],
-    [659, 1118, 1302, 1303],
-    [677, 1117, 1304, 1305],
-    [658, 1134, 1306, 1307],
-    [676, 1150, 1308, 1309],
-    [695, 1133, 1310, 1311],
-    [694, 1149, 1312, 1313],
-    [713, 1116, 1314, 1315],
-    [731, 1115, 1316, 1317],
-    [656, 1167, 1318, 1319],
-    [674, 1183, 1320, 1321],
-    [748, 1132, 1322, 1323],
-    [784, 1131, 1324, 1325],
-    [766, 1148, 1326, 1327],
-    [801, 1147, 1328, 1329],
-    [692, 1199, 1330, 1331],
-    [712, 1166, 1332, 1333],
-    [730, 1182, 1334, 1335],
-    [747, 1165, 1336, 1337],
-    [765, 1181, 1338, 1339],
-    [783, 1198, 1340, 1341],
-    [800, 1197, 1342, 1343],
-    [710, 1215, 1344, 1345],
-    [728, 1214, 1346, 1347],
-    [1231, 745, 1348, 1349],
-    [781, 1230, 1350, 1351],
-    [763, 1247, 1352, 1353],
-    [798, 1246, 1354, 1355],
-    [818, 1164, 1356, 1357],
-    [854, 1163, 1358, 1359],
-    [836, 1180, 1360, 1361],
-    [1179, 871, 1362, 1363],
-    [888, 1196, 1364, 1365],
-    [906, 1195, 1366, 1367],
-    [817, 1213, 1368, 1369],
-    [835, 1212, 1370, 1371],
-    [853, 1229, 1372, 1373],
-    [870, 1245, 1374, 1375],
-    [887, 1228, 1376, 1377],
-    [905, 1244, 1378, 1379],
-    [923, 1211, 1380, 1381],
-    [815, 1263, 1382, 1383],
-    [851, 1262, 1384, 1385],
-    [833, 1279, 1386, 1387],
-    [868, 1278, 1388, 1389],
-    [940, 1227, 1390, 1391],
-    [957, 1243, 1392, 1393],
-    [885, 1295, 1394, 1395],
-    [903, 1294, 1396, 1397],
-    [922, 1261, 1398, 1399],
-    [920, 1277, 1400, 1401],
-    [939, 1260, 1402, 1403],
-    [956, 1276, 1404, 1405],
-    [937, 1293, 1406, 1407],
-    [954, 1292, 1408, 1409],
-    [974, 1259, 1410, 1411],
-    [973, 1275, 1412, 1413],
-    [971, 1291, 1414, 1415],
-    [634, 1416, 1417, 1418],
-    [653, 1419, 1420, 1421],
-    [671, 1422, 1423, 1424],
-    [689, 1425, 1426, 1427],
-    [707, 1428, 1429, 1430],
-    [725, 1431, 1432, 1433],
-    [742, 1434, 1435, 1436],
-    [760, 1437, 1438, 1439],
-    [778, 1440, 1441, 1442],
-    [795, 1443, 1444, 1445],
-    [812, 1446, 1447, 1448],
-    [830, 1449, 1450, 1451],
-    [848, 1452, 1453, 1454],
-    [865, 1455, 1456, 1457],
-    [882, 1458, 1459, 1460],
-    [900, 1461, 1462, 1463],
-    [917, 1464, 1465, 1466],
-    [934, 1467, 1468, 1469],
-    [951, 1470, 1471, 1472],
-    [968, 1473, 1474, 1475],
-    [
-      1476, 1477, 1478, 1479, 1480, 1481, 1482, 1483, 1484, 1485, 1486, 1487,
-      1488, 1489, 1490, 1491, 1492, 1493, 1494, 1495, 1420, 1130, 1114, 1417,
-      1306, 1302, 1299, 1296, 657, 638, 989, 985,
-    ],
-    [
-      1496, 1497, 1498, 1499, 1500, 1501, 1502, 1503, 1504, 1505, 1506, 1507,
-      1508, 1509, 1510, 1491, 1511, 1512, 1513, 1514, 1422, 1146, 1113, 1416,
-      1309, 1305, 1301, 1297, 675, 636, 991, 987,
-    ],
-    [
-      1515, 1516, 1517, 1518, 1519, 1520, 1521, 1522, 1523, 1524, 1525, 1526,
-      1527, 1528, 1510, 1490, 1529, 1530, 1531, 1532, 1427, 1145, 1129, 1418,
-      1313, 1310, 1300, 1298, 693, 635, 995, 993,
-    ],
-    [1112, 1514, 1495, 1533],
-    [1128, 1494, 1532, 1534],
-    [1144, 1513, 1531, 1535],
-    [1110, 1493, 1536, 1537],
-    [1108, 1512, 1538, 1539],
-    [1126, 1492, 1540, 1541],
-    [1142, 1511, 1542, 1543],
-    [1124, 1530, 1544, 1545],
-    [1140, 1529, 1546, 1547],
-    [1106, 1548, 1549, 1550],
-    [1105, 1551, 1552, 1553],
-    [1122, 1554, 1555, 1556],
-    [1121, 1557, 1558, 1559],
-    [1138, 1560, 1561, 1562],
-    [1137, 1563, 1564, 1565],
-    [
-      1566, 1567, 1568, 1569, 1570, 1571, 1572, 1573, 1574, 1575, 1576, 1577,
-      1578, 1579, 1580, 1488, 1581, 1582, 1548, 1536, 1162, 1429, 1421, 1111,
-      1333, 1318, 1314, 1303, 711, 655, 1011, 997,
-    ],
-    [
-      1583, 1584, 1585, 1586, 1587, 1588, 1589, 1590, 1591, 1592, 1593, 1594,
-      1595, 1596, 1597, 1508, 1598, 1599, 1551, 1538, 1178, 1433, 1424, 1109,
-      1334, 1320, 1316, 1304, 729, 673, 1015, 999,
-    ],
-    [
-      1600, 1601, 1602, 1603, 1604, 1605, 1606, 1607, 1608, 1609, 1610, 1611,
-      1612, 1613, 1580, 1487, 1614, 1615, 1554, 1540, 1434, 1161, 1127, 1419,
-      1337, 1319, 1323, 1307, 746, 654, 1013, 1001,
-    ],
-    [
-      1616, 1617, 1618, 1619, 1620, 1621, 1622, 1623, 1624, 1625, 1626, 1627,
-      1628, 1629, 1597, 1507, 1630, 1631, 1560, 1542, 1439, 1177, 1143, 1423,
-      1339, 1321, 1326, 1308, 764, 672, 1017, 1003,
-    ],
-    [
-      1632, 1633, 1634, 1635, 1636, 1637, 1638, 1639, 1640, 1641, 1642, 1643,
-      1644, 1645, 1646, 1527, 1647, 1648, 1557, 1544, 1194, 1440, 1425, 1125,
-      1341, 1331, 1325, 1311, 782, 691, 1023, 1005,
-    ],
-    [
-      1649, 1650, 1651, 1652, 1653, 1654, 1655, 1656, 1657, 1658, 1659, 1660,
-      1661, 1662, 1646, 1526, 1663, 1664, 1563, 1546, 1193, 1444, 1426, 1141,
-      1343, 1330, 1328, 1312, 799, 690, 1025, 1007,
-    ],
-    [1160, 1615, 1582, 1665],
-    [1176, 1631, 1599, 1666],
-    [1192, 1648, 1664, 1667],
-    [
-      1668, 1669, 1670, 1671, 1672, 1673, 1674, 1675, 1676, 1677, 1678, 1679,
-      1680, 1681, 1595, 1578, 1682, 1683, 1552, 1549, 1210, 1431, 1428, 1107,
-      1347, 1345, 1317, 1315, 727, 709, 1027, 1009,
-    ],
-    [
-      1684, 1685, 1686, 1687, 1688, 1689, 1690, 1691, 1692, 1693, 1694, 1695,
-      1696, 1697, 1644, 1612, 1698, 1699, 1558, 1555, 1226, 1441, 1435, 1123,
-      1350, 1348, 1324, 1322, 780, 744, 1029, 1019,
-    ],
-    [
-      1700, 1701, 1702, 1703, 1704, 1705, 1706, 1707, 1708, 1709, 1710, 1711,
-      1712, 1713, 1661, 1628, 1714, 1715, 1564, 1561, 1242, 1443, 1437, 1139,
-      1355, 1353, 1329, 1327, 797, 762, 1031, 1021,
-    ],
-    [1158, 1581, 1716, 1717],
-    [1156, 1614, 1718, 1719],
-    [1174, 1598, 1720, 1721],
-    [1172, 1630, 1722, 1723],
-    [1190, 1647, 1724, 1725],
-    [1188, 1663, 1726, 1727],
-    [
-      1728, 1729, 1730, 1731, 1732, 1733, 1734, 1735, 1736, 1737, 1738, 1739,
-      1740, 1741, 1681, 1577, 1742, 1743, 1744, 1716, 1448, 1209, 1159, 1430,
-      1368, 1356, 1344, 1332, 816, 708, 1045, 1033,
-    ],
-    [1208, 1683, 1744, 1745],
-    [1206, 1682, 1746, 1747],
-    [1154, 1743, 1748, 1749],
-    [1153, 1750, 1751, 1752],
-    [
-      1753, 1754, 1755, 1756, 1757, 1758, 1759, 1760, 1761, 1762, 1763, 1764,
-      1765, 1766, 1679, 1594, 1767, 1768, 1746, 1720, 1451, 1207, 1175, 1432,
-      1370, 1361, 1346, 1335, 834, 726, 1047, 1035,
-    ],
-    [
-      1769, 1770, 1771, 1772, 1773, 1774, 1775, 1776, 1777, 1778, 1779, 1780,
-      1781, 1782, 1697, 1611, 1783, 1750, 1784, 1718, 1453, 1225, 1157, 1436,
-      1372, 1358, 1349, 1336, 852, 743, 1049, 1037,
-    ],
-    [1170, 1768, 1785, 1786],
-    [1169, 1787, 1788, 1789],
-    [1224, 1699, 1784, 1790],
-    [1222, 1698, 1791, 1792],
-    [
-      1793, 1794, 1795, 1796, 1797, 1798, 1799, 1800, 1801, 1802, 1803, 1804,
-      1805, 1806, 1713, 1627, 1807, 1787, 1808, 1722, 1456, 1241, 1173, 1438,
-      1374, 1362, 1352, 1338, 869, 761, 1051, 1039,
-    ],
-    [
-      1809, 1810, 1811, 1812, 1813, 1814, 1815, 1816, 1817, 1818, 1819, 1820,
-      1821, 1822, 1695, 1643, 1823, 1824, 1791, 1724, 1459, 1223, 1191, 1442,
-      1377, 1364, 1351, 1340, 886, 779, 1053, 1041,
-    ],
-    [1240, 1715, 1808, 1825],
-    [1238, 1714, 1826, 1827],
-    [1186, 1824, 1828, 1829],
-    [1185, 1830, 1831, 1832],
-    [
-      1833, 1834, 1835, 1836, 1837, 1838, 1839, 1840, 1841, 1842, 1843, 1844,
-      1845, 1846, 1711, 1660, 1847, 1830, 1826, 1726, 1463, 1239, 1189, 1445,
-      1378, 1366, 1354, 1342, 904, 796, 1055, 1043,
-    ],
-    [1204, 1742, 1848, 1849],
-    [1202, 1767, 1850, 1851],
-    [1220, 1783, 1852, 1853],
-    [1218, 1823, 1854, 1855],
-    [1236, 1807, 1856, 1857],
-    [1234, 1847, 1858, 1859],
-    [
-      1860, 1861, 1862, 1863, 1864, 1865, 1866, 1867, 1868, 1869, 1870, 1871,
-      1872, 1873, 1781, 1740, 1874, 1875, 1751, 1748, 1258, 1452, 1446, 1155,
-      1385, 1383, 1359, 1357, 850, 814, 1067, 1057,
-    ],
-    [
-      1876, 1877, 1878, 1879, 1880, 1881, 1882, 1883, 1884, 1885, 1886, 1887,
-      1888, 1889, 1805, 1765, 1890, 1891, 1788, 1785, 1274, 1457, 1450, 1171,
-      1388, 1386, 1363, 1360, 867, 832, 1069, 1059,
-    ],
-    [
-      1892, 1893, 1894, 1895, 1896, 1897, 1898, 1899, 1900, 1901, 1902, 1903,
-      1904, 1905, 1845, 1821, 1906, 1907, 1831, 1828, 1290, 1461, 1458, 1187,
-      1397, 1395, 1367, 1365, 902, 884, 1079, 1061,
-    ],
-    [1201, 1908, 1909, 1910],
-    [1217, 1911, 1912, 1913],
-    [1233, 1914, 1915, 1916],
-    [
-      1917, 1918, 1919, 1920, 1921, 1922, 1923, 1924, 1925, 1926, 1927, 1928,
-      1929, 1930, 1873, 1739, 1931, 1932, 1908, 1848, 1257, 1465, 1447, 1205,
-      1398, 1382, 1380, 1369, 921, 813, 1081, 1063,
-    ],
-    [
-      1933, 1934, 1935, 1936, 1937, 1938, 1939, 1940, 1941, 1942, 1943, 1944,
-      1929, 1945, 1889, 1764, 1946, 1947, 1909, 1850, 1273, 1464, 1449, 1203,
-      1401, 1387, 1381, 1371, 919, 831, 1083, 1065,
-    ],
-    [
-      1948, 1949, 1950, 1951, 1952, 1953, 1954, 1955, 1956, 1957, 1958, 1959,
-      1960, 1961, 1871, 1780, 1962, 1963, 1912, 1852, 1468, 1255, 1221, 1454,
-      1402, 1384, 1391, 1373, 938, 849, 1085, 1071,
-    ],
-    [
-      1964, 1965, 1966, 1967, 1968, 1969, 1970, 1971, 1972, 1973, 1974, 1975,
-      1976, 1977, 1887, 1804, 1978, 1979, 1915, 1856, 1470, 1271, 1237, 1455,
-      1405, 1389, 1393, 1375, 955, 866, 1087, 1075,
-    ],
-    [
-      1980, 1981, 1982, 1983, 1984, 1985, 1986, 1987, 1988, 1989, 1990, 1991,
-      1960, 1992, 1905, 1820, 1993, 1994, 1911, 1854, 1289, 1469, 1460, 1219,
-      1406, 1394, 1390, 1376, 936, 883, 1089, 1073,
-    ],
-    [
-      1995, 1996, 1997, 1998, 1999, 2000, 2001, 2002, 2003, 2004, 2005, 2006,
-      1976, 2007, 1903, 1844, 2008, 2009, 1914, 1858, 1287, 1471, 1462, 1235,
-      1408, 1396, 1392, 1379, 953, 901, 1091, 1077,
-    ],
-    [1256, 1875, 1932, 2010],
-    [1254, 1874, 1963, 2011],
-    [1272, 1891, 1947, 2012],
-    [1270, 1890, 1979, 2013],
-    [1288, 1907, 1994, 2014],
-    [1286, 1906, 2009, 2015],
-    [1252, 1931, 2016, 2017],
-    [1268, 1946, 2018, 2019],
-    [1250, 1962, 2020, 2021],
-    [1266, 1978, 2022, 2023],
-    [1284, 1993, 2024, 2025],
-    [1282, 2008, 2026, 2027],
-    [1249, 2028, 2029, 2030],
-    [1265, 2031, 2032, 2033],
-    [1281, 2034, 2035, 2036],
-    [
-      2037, 2038, 2039, 2040, 2041, 2042, 2043, 2044, 2045, 2046, 2047, 2048,
-      2049, 2050, 1944, 1928, 2031, 2028, 2018, 2016, 1475, 1269, 1253, 1466,
-      1412, 1410, 1400, 1399, 972, 918, 1095, 1093,
-    ],
-    [
-      2051, 2052, 2053, 2054, 2055, 2056, 2057, 2058, 2059, 2060, 2061, 2062,
-      2049, 2063, 1991, 1959, 2035, 2029, 2024, 2020, 1473, 1285, 1251, 1467,
-      1415, 1411, 1407, 1403, 970, 935, 1101, 1097,
-    ],
-    [
-      2064, 2065, 2066, 2067, 2068, 2069, 2070, 2071, 2072, 2073, 2074, 2062,
-      2048, 2075, 2006, 1975, 2034, 2032, 2026, 2022, 1474, 1283, 1267, 1472,
-      1414, 1413, 1409, 1404, 969, 952, 1103, 1099,
-    ],
-    [1528, 1489, 1509, 2076],
-    [1486, 1579, 1613, 2077],
-    [1596, 1629, 1506, 2078],
-    [1525, 1662, 1645, 2079],
-    [1741, 1576, 1680, 2080],
-    [1593, 1766, 1678, 2081],
-    [1696, 1782, 1610, 2082],
-    [1626, 1806, 1712, 2083],
-    [1822, 1694, 1642, 2084],
-    [1846, 1659, 1710, 2085],
-    [1738, 1930, 1872, 2086],
-    [1763, 1888, 1945, 2087],
-    [1961, 1779, 1870, 2088],
-    [1803, 1886, 1977, 2089],
-    [1992, 1819, 1904, 2090],
-    [1843, 2007, 1902, 2091],
-    [2050, 1927, 1943, 2092],
-    [1990, 1958, 2063, 2093],
-    [2005, 2075, 1974, 2094],
-    [2047, 2074, 2061, 2095],
-    [1505, 1485, 2096, 2097],
-    [1484, 1524, 2098, 2099],
-    [1504, 1523, 2100, 2101],
-    [1483, 1575, 2102, 2103],
-    [1503, 1592, 2104, 2105],
-    [1609, 1481, 2106, 2107],
-    [1501, 1625, 2108, 2109],
-    [1641, 1522, 2110, 2111],
-    [1520, 1658, 2112, 2113],
-    [1677, 1574, 2114, 2115],
-    [1676, 1591, 2116, 2117],
-    [1606, 1572, 2118, 2119],
-    [1622, 1589, 2120, 2121],
-    [1608, 1693, 2122, 2123],
-    [1640, 1692, 2124, 2125],
-    [1709, 1624, 2126, 2127],
-    [1708, 1657, 2128, 2129],
-    [1638, 1655, 2130, 2131],
-    [1571, 1737, 2132, 2133],
-    [1762, 1588, 2134, 2135],
-    [1605, 1778, 2136, 2137],
-    [1621, 1802, 2138, 2139],
-    [1637, 1818, 2140, 2141],
-    [1654, 1842, 2142, 2143],
-    [1674, 1736, 2144, 2145],
-    [1673, 1761, 2146, 2147],
-    [1690, 1777, 2148, 2149],
-    [1817, 1689, 2150, 2151],
-    [1706, 1801, 2152, 2153],
-    [1705, 1841, 2154, 2155],
-    [1869, 1735, 2156, 2157],
-    [1868, 1776, 2158, 2159],
-    [1760, 1885, 2160, 2161],
-    [1800, 1884, 2162, 2163],
-    [1901, 1816, 2164, 2165],
-    [1900, 1840, 2166, 2167],
-    [1926, 1733, 2168, 2169],
-    [1942, 1758, 2170, 2171],
-    [1957, 1774, 2172, 2173],
-    [1973, 1798, 2174, 2175],
-    [1814, 1989, 2176, 2177],
-    [2004, 1838, 2178, 2179],
-    [1941, 1925, 2180, 2181],
-    [1866, 1923, 2182, 2183],
-    [1865, 1954, 2184, 2185],
-    [1939, 1882, 2186, 2187],
-    [1970, 1881, 2188, 2189],
-    [1956, 1988, 2190, 2191],
-    [1972, 2003, 2192, 2193],
-    [1898, 1986, 2194, 2195],
-    [1897, 2001, 2196, 2197],
-    [2046, 1922, 2198, 2199],
-    [1938, 2045, 2200, 2201],
-    [2060, 1953, 2202, 2203],
-    [1969, 2073, 2204, 2205],
-    [2059, 1985, 2206, 2207],
-    [2000, 2072, 2208, 2209],
-    [2058, 2044, 2210, 2211],
-    [2071, 2042, 2212, 2213],
-    [2056, 2069, 2214, 2215],
-    [
-      2216, 2217, 2218, 2219, 2220, 2221, 2222, 2223, 2224, 2225, 2226, 2227,
-      2228, 2229, 2230, 2231, 1675, 2116, 2114, 1590, 1573, 2104, 2102, 1502,
-      1482, 2096, 1553, 1550, 1539, 1537, 1533, 1104,
-    ],
-    [
-      2232, 2233, 2234, 2235, 2236, 2237, 2238, 2239, 2240, 2241, 2242, 2243,
-      2244, 2245, 2246, 2247, 1691, 2124, 2122, 1639, 1607, 2110, 2106, 1521,
-      1480, 2098, 1559, 1556, 1545, 1541, 1534, 1120,
-    ],
-    [
-      2248, 2249, 2250, 2251, 2252, 2253, 2254, 2255, 2256, 2257, 2258, 2259,
-      2260, 2261, 2262, 2263, 1707, 2128, 2126, 1656, 1623, 2112, 2108, 1519,
-      1500, 2100, 1565, 1562, 1547, 1543, 1535, 1136,
-    ],
-    [
-      2264, 2265, 2266, 2267, 2268, 2269, 2270, 2271, 2272, 2273, 2274, 2275,
-      2276, 2277, 2278, 2279, 1867, 2158, 2156, 1775, 1734, 2136, 2132, 1604,
-      1570, 2118, 1752, 1749, 1719, 1717, 1665, 1152,
-    ],
-    [
-      2280, 2281, 2282, 2283, 2284, 2285, 2286, 2287, 2288, 2289, 2290, 2291,
-      2292, 2293, 2294, 2295, 1883, 2163, 2160, 1799, 1759, 2138, 2134, 1620,
-      1587, 2120, 1789, 1786, 1723, 1721, 1666, 1168,
-    ],
-    [
-      2296, 2297, 2298, 2299, 2300, 2301, 2302, 2303, 2304, 2305, 2306, 2307,
-      2308, 2309, 2310, 2311, 1899, 2166, 2164, 1839, 1815, 2142, 2140, 1653,
-      1636, 2130, 1832, 1829, 1727, 1725, 1667, 1184,
-    ],
-    [
-      2312, 2313, 2314, 2315, 2316, 2317, 2318, 2319, 2320, 2321, 2322, 2323,
-      2324, 2325, 2326, 2327, 2180, 1940, 1924, 2170, 2168, 1757, 1732, 2146,
-      2144, 1672, 1910, 1851, 1849, 1747, 1745, 1200,
-    ],
-    [
-      2328, 2329, 2330, 2331, 2332, 2333, 2334, 2335, 2336, 2337, 2338, 2339,
-      2340, 2341, 2342, 2343, 2190, 1987, 1955, 2176, 2172, 1813, 1773, 2150,
-      2149, 1688, 1913, 1855, 1853, 1792, 1790, 1216,
-    ],
-    [
-      2344, 2345, 2346, 2347, 2348, 2349, 2350, 2351, 2352, 2353, 2354, 2355,
-      2356, 2357, 2358, 2359, 2192, 2002, 1971, 2178, 2174, 1837, 1797, 2154,
-      2152, 1704, 1916, 1859, 1857, 1827, 1825, 1232,
-    ],
-    [
-      2360, 2361, 2362, 2363, 2364, 2365, 2366, 2367, 2368, 2369, 2370, 2371,
-      2372, 2373, 2374, 2375, 2210, 2057, 2043, 2202, 2198, 1952, 1921, 2184,
-      2182, 1864, 2030, 2021, 2017, 2011, 2010, 1248,
-    ],
-    [
-      2376, 2377, 2378, 2379, 2380, 2381, 2382, 2383, 2384, 2385, 2386, 2387,
-      2388, 2389, 2390, 2391, 2212, 2070, 2041, 2204, 2200, 1968, 1937, 2188,
-      2186, 1880, 2033, 2023, 2019, 2013, 2012, 1264,
-    ],
-    [
-      2392, 2393, 2394, 2395, 2396, 2397, 2398, 2399, 2400, 2401, 2402, 2403,
-      2404, 2405, 2406, 2407, 2214, 2068, 2055, 2208, 2206, 1999, 1984, 2196,
-      2194, 1896, 2036, 2027, 2025, 2015, 2014, 1280,
-    ],
-    [1478, 2231, 2408, 2409],
-    [1498, 2230, 2410, 2411],
-    [1477, 2247, 2412, 2413],
-    [1497, 2263, 2414, 2415],
-    [1517, 2246, 2416, 2417],
-    [1516, 2262, 2418, 2419],
-    [1569, 2229, 2420, 2421],
-    [1586, 2228, 2422, 2423],
-    [1603, 2245, 2424, 2425],
-    [1619, 2261, 2426, 2427],
-    [1635, 2244, 2428, 2429],
-    [1652, 2260, 2430, 2431],
-    [1671, 2227, 2432, 2433],
-    [1566, 2279, 2434, 2435],
-    [1600, 2278, 2436, 2437],
-    [1583, 2295, 2438, 2439],
-    [1616, 2294, 2440, 2441],
-    [1687, 2243, 2442, 2443],
-    [1703, 2259, 2444, 2445],
-    [1632, 2311, 2446, 2447],
-    [1649, 2310, 2448, 2449],
-    [1668, 2327, 2450, 2451],
-    [1684, 2343, 2452, 2453],
-    [1700, 2359, 2454, 2455],
-    [1730, 2277, 2456, 2457],
-    [1755, 2293, 2458, 2459],
-    [1771, 2276, 2460, 2461],
-    [1795, 2292, 2462, 2463],
-    [1811, 2309, 2464, 2465],
-    [1835, 2308, 2466, 2467],
-    [1729, 2326, 2468, 2469],
-    [1754, 2325, 2470, 2471],
-    [1770, 2342, 2472, 2473],
-    [1794, 2358, 2474, 2475],
-    [1810, 2341, 2476, 2477],
-    [1834, 2357, 2478, 2479],
-    [1863, 2275, 2480, 2481],
-    [1879, 2291, 2482, 2483],
-    [1895, 2307, 2484, 2485],
-    [1920, 2324, 2486, 2487],
-    [1936, 2323, 2488, 2489],
-    [1860, 2375, 2490, 2491],
-    [1876, 2391, 2492, 2493],
-    [1951, 2340, 2494, 2495],
-    [1983, 2339, 2496, 2497],
-    [1967, 2356, 2498, 2499],
-    [1998, 2355, 2500, 2501],
-    [1892, 2407, 2502, 2503],
-    [1917, 2374, 2504, 2505],
-    [1933, 2390, 2506, 2507],
-    [1948, 2373, 2508, 2509],
-    [1964, 2389, 2510, 2511],
-    [1980, 2406, 2512, 2513],
-    [1995, 2405, 2514, 2515],
-    [2039, 2372, 2516, 2517],
-    [2038, 2388, 2518, 2519],
-    [2053, 2371, 2520, 2521],
-    [2066, 2387, 2522, 2523],
-    [2052, 2404, 2524, 2525],
-    [2065, 2403, 2526, 2527],
-    [
-      2528, 2529, 2530, 2531, 2532, 2533, 2534, 2535, 2536, 2537, 2538, 2539,
-      2540, 2541, 2542, 2543, 2258, 2242, 2226, 2418, 2416, 2414, 2412, 2410,
-      2409, 1518, 1499, 1479, 2101, 2099, 2097, 2076,
-    ],
-    [
-      2544, 2545, 2546, 2547, 2548, 2549, 2550, 2551, 2552, 2553, 2554, 2555,
-      2556, 2540, 2557, 2558, 2274, 2241, 2225, 2436, 2435, 2424, 2420, 2413,
-      2408, 1602, 1568, 1476, 2119, 2107, 2103, 2077,
-    ],
-    [
-      2559, 2560, 2561, 2562, 2563, 2564, 2565, 2566, 2567, 2568, 2569, 2570,
-      2571, 2538, 2572, 2573, 2290, 2257, 2223, 2440, 2438, 2427, 2422, 2415,
-      2411, 1618, 1585, 1496, 2121, 2109, 2105, 2078,
-    ],
-    [
-      2574, 2575, 2576, 2577, 2578, 2579, 2580, 2581, 2582, 2583, 2584, 2585,
-      2586, 2535, 2587, 2588, 2306, 2255, 2239, 2449, 2446, 2430, 2428, 2419,
-      2417, 1651, 1634, 1515, 2131, 2113, 2111, 2079,
-    ],
-    [
-      2589, 2590, 2591, 2592, 2593, 2594, 2595, 2596, 2597, 2598, 2599, 2600,
-      2553, 2601, 2602, 2603, 2322, 2273, 2221, 2469, 2456, 2450, 2434, 2432,
-      2421, 1731, 1670, 1567, 2145, 2133, 2115, 2080,
-    ],
-    [
-      2604, 2605, 2606, 2607, 2608, 2609, 2610, 2611, 2612, 2613, 2599, 2614,
-      2568, 2615, 2616, 2617, 2321, 2289, 2219, 2471, 2458, 2451, 2439, 2433,
-      2423, 1756, 1669, 1584, 2147, 2135, 2117, 2081,
-    ],
-    [
-      2618, 2619, 2620, 2621, 2622, 2623, 2624, 2625, 2626, 2627, 2628, 2629,
-      2630, 2551, 2631, 2632, 2338, 2271, 2237, 2473, 2461, 2453, 2437, 2443,
-      2425, 1772, 1686, 1601, 2148, 2137, 2123, 2082,
-    ],
-    [
-      2633, 2634, 2635, 2636, 2637, 2638, 2639, 2640, 2641, 2642, 2643, 2644,
-      2645, 2566, 2646, 2647, 2354, 2287, 2253, 2474, 2462, 2455, 2441, 2445,
-      2426, 1796, 1702, 1617, 2153, 2139, 2127, 2083,
-    ],
-    [
-      2648, 2649, 2650, 2651, 2652, 2653, 2654, 2655, 2656, 2657, 2628, 2658,
-      2583, 2659, 2660, 2661, 2337, 2305, 2235, 2477, 2464, 2452, 2447, 2442,
-      2429, 1812, 1685, 1633, 2151, 2141, 2125, 2084,
-    ],
-    [
-      2662, 2663, 2664, 2665, 2666, 2667, 2668, 2669, 2670, 2671, 2643, 2672,
-      2581, 2673, 2674, 2675, 2353, 2303, 2251, 2479, 2466, 2454, 2448, 2444,
-      2431, 1836, 1701, 1650, 2155, 2143, 2129, 2085,
-    ],
-    [
-      2676, 2677, 2678, 2679, 2680, 2681, 2682, 2683, 2684, 2685, 2686, 2687,
-      2688, 2596, 2689, 2690, 2370, 2319, 2269, 2505, 2490, 2486, 2480, 2468,
-      2457, 1919, 1862, 1728, 2183, 2169, 2157, 2086,
-    ],
-    [
-      2691, 2692, 2693, 2694, 2695, 2696, 2697, 2698, 2699, 2700, 2701, 2702,
-      2703, 2611, 2704, 2705, 2386, 2317, 2285, 2507, 2492, 2489, 2482, 2470,
-      2459, 1935, 1878, 1753, 2187, 2171, 2161, 2087,
-    ],
-    [
-      2706, 2707, 2708, 2709, 2710, 2711, 2712, 2713, 2714, 2715, 2685, 2716,
-      2717, 2625, 2718, 2719, 2369, 2335, 2267, 2508, 2491, 2495, 2481, 2472,
-      2460, 1950, 1861, 1769, 2185, 2173, 2159, 2088,
-    ],
-    [
-      2720, 2721, 2722, 2723, 2724, 2725, 2726, 2727, 2728, 2729, 2700, 2730,
-      2731, 2640, 2732, 2733, 2385, 2351, 2283, 2511, 2493, 2499, 2483, 2475,
-      2463, 1966, 1877, 1793, 2189, 2175, 2162, 2089,
-    ],
-    [
-      2734, 2735, 2736, 2737, 2738, 2739, 2740, 2741, 2742, 2743, 2744, 2745,
-      2746, 2655, 2747, 2748, 2402, 2333, 2301, 2512, 2503, 2496, 2485, 2476,
-      2465, 1982, 1894, 1809, 2195, 2177, 2165, 2090,
-    ],
-    [
-      2749, 2750, 2751, 2752, 2753, 2754, 2755, 2756, 2757, 2743, 2758, 2759,
-      2760, 2669, 2761, 2762, 2401, 2349, 2299, 2515, 2502, 2500, 2484, 2478,
-      2467, 1997, 1893, 1833, 2197, 2179, 2167, 2091,
-    ],
-    [
-      2763, 2764, 2765, 2766, 2767, 2768, 2769, 2770, 2771, 2772, 2698, 2773,
-      2683, 2774, 2775, 2776, 2383, 2367, 2315, 2519, 2517, 2506, 2504, 2488,
-      2487, 2040, 1934, 1918, 2201, 2199, 2181, 2092,
-    ],
-    [
-      2777, 2778, 2779, 2780, 2781, 2782, 2783, 2784, 2785, 2786, 2741, 2787,
-      2713, 2788, 2789, 2790, 2399, 2365, 2331, 2525, 2521, 2513, 2509, 2497,
-      2494, 2054, 1981, 1949, 2207, 2203, 2191, 2093,
-    ],
-    [
-      2791, 2792, 2793, 2794, 2795, 2796, 2797, 2798, 2799, 2800, 2756, 2801,
-      2727, 2802, 2803, 2804, 2397, 2381, 2347, 2526, 2523, 2514, 2510, 2501,
-      2498, 2067, 1996, 1965, 2209, 2205, 2193, 2094,
-    ],
-    [
-      2805, 2806, 2807, 2808, 2809, 2810, 2811, 2798, 2812, 2784, 2813, 2814,
-      2815, 2770, 2816, 2817, 2395, 2379, 2363, 2527, 2524, 2522, 2520, 2518,
-      2516, 2064, 2051, 2037, 2215, 2213, 2211, 2095,
-    ],
-    [2224, 2543, 2558, 2818],
-    [2222, 2542, 2573, 2819],
-    [2557, 2240, 2541, 2820],
-    [2256, 2572, 2539, 2821],
-    [2238, 2588, 2537, 2822],
-    [2254, 2536, 2587, 2823],
-    [2220, 2603, 2556, 2824],
-    [2218, 2571, 2617, 2825],
-    [2236, 2555, 2632, 2826],
-    [2252, 2570, 2647, 2827],
-    [2234, 2661, 2586, 2828],
-    [2250, 2675, 2585, 2829],
-    [2217, 2602, 2616, 2830],
-    [2233, 2660, 2630, 2831],
-    [2249, 2674, 2645, 2832],
-    [2554, 2272, 2601, 2833],
-    [2270, 2552, 2631, 2834],
-    [2288, 2569, 2615, 2835],
-    [2286, 2567, 2646, 2836],
-    [2304, 2584, 2659, 2837],
-    [2302, 2582, 2673, 2838],
-    [2320, 2614, 2600, 2839],
-    [2268, 2690, 2598, 2840],
-    [2266, 2719, 2627, 2841],
-    [2284, 2705, 2613, 2842],
-    [2282, 2733, 2642, 2843],
-    [2629, 2336, 2658, 2844],
-    [2352, 2644, 2672, 2845],
-    [2300, 2748, 2657, 2846],
-    [2298, 2762, 2671, 2847],
-    [2318, 2597, 2689, 2848],
-    [2316, 2612, 2704, 2849],
-    [2265, 2717, 2688, 2850],
-    [2281, 2731, 2703, 2851],
-    [2626, 2334, 2718, 2852],
-    [2332, 2656, 2747, 2853],
-    [2350, 2641, 2732, 2854],
-    [2348, 2670, 2761, 2855],
-    [2297, 2746, 2760, 2856],
-    [2314, 2776, 2687, 2857],
-    [2313, 2775, 2702, 2858],
-    [2330, 2790, 2715, 2859],
-    [2329, 2745, 2789, 2860],
-    [2346, 2804, 2729, 2861],
-    [2803, 2345, 2759, 2862],
-    [2368, 2686, 2716, 2863],
-    [2384, 2701, 2730, 2864],
-    [2400, 2758, 2744, 2865],
-    [2366, 2684, 2774, 2866],
-    [2382, 2699, 2773, 2867],
-    [2364, 2788, 2714, 2868],
-    [2380, 2802, 2728, 2869],
-    [2398, 2742, 2787, 2870],
-    [2396, 2757, 2801, 2871],
-    [2362, 2817, 2772, 2872],
-    [2378, 2771, 2816, 2873],
-    [2361, 2786, 2815, 2874],
-    [2800, 2377, 2814, 2875],
-    [2394, 2813, 2785, 2876],
-    [2393, 2812, 2799, 2877],
-    [2534, 2550, 2878, 2879],
-    [2533, 2565, 2880, 2881],
-    [2531, 2580, 2882, 2883],
-    [2595, 2549, 2884, 2885],
-    [2564, 2610, 2886, 2887],
-    [2547, 2624, 2888, 2889],
-    [2562, 2639, 2890, 2891],
-    [2579, 2654, 2892, 2893],
-    [2577, 2668, 2894, 2895],
-    [2594, 2609, 2896, 2897],
-    [2653, 2623, 2898, 2899],
-    [2667, 2638, 2900, 2901],
-    [2592, 2682, 2902, 2903],
-    [2607, 2697, 2904, 2905],
-    [2712, 2621, 2906, 2907],
-    [2636, 2726, 2908, 2909],
-    [2740, 2651, 2910, 2911],
-    [2755, 2665, 2912, 2913],
-    [2681, 2711, 2914, 2915],
-    [2696, 2725, 2916, 2917],
-    [2754, 2739, 2918, 2919],
-    [2679, 2769, 2920, 2921],
-    [2768, 2694, 2922, 2923],
-    [2783, 2709, 2924, 2925],
-    [2797, 2723, 2926, 2927],
-    [2737, 2782, 2928, 2929],
-    [2752, 2796, 2930, 2931],
-    [2811, 2766, 2932, 2933],
-    [2810, 2780, 2934, 2935],
-    [2808, 2794, 2936, 2937],
-    [2528, 2938, 2939, 2940],
-    [2544, 2941, 2942, 2943],
-    [2559, 2944, 2945, 2946],
-    [2574, 2947, 2948, 2949],
-    [2589, 2950, 2951, 2952],
-    [2604, 2953, 2954, 2955],
-    [2618, 2956, 2957, 2958],
-    [2633, 2959, 2960, 2961],
-    [2648, 2962, 2963, 2964],
-    [2662, 2965, 2966, 2967],
-    [2676, 2968, 2969, 2970],
-    [2691, 2971, 2972, 2973],
-    [2706, 2974, 2975, 2976],
-    [2720, 2977, 2978, 2979],
-    [2734, 2980, 2981, 2982],
-    [2749, 2983, 2984, 2985],
-    [2763, 2986, 2987, 2988],
-    [2777, 2989, 2990, 2991],
-    [2791, 2992, 2993, 2994],
-    [2805, 2995, 2996, 2997],
-    [
-      2998, 2999, 3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 2953,
-      2952, 2944, 2941, 2940, 2896, 2608, 2593, 2886, 2884, 2563, 2548, 2880,
-      2878, 2532, 2830, 2825, 2824, 2819, 2818, 2216,
-    ],
-    [
-      3009, 3010, 3011, 3012, 3013, 3014, 3015, 3016, 3017, 3018, 3008, 2963,
-      2956, 2948, 2942, 2938, 2898, 2652, 2622, 2893, 2888, 2578, 2546, 2883,
-      2879, 2530, 2831, 2828, 2826, 2822, 2820, 2232,
-    ],
-    [
-      3019, 3020, 3021, 3022, 3023, 3024, 3025, 3026, 3027, 3018, 3007, 2967,
-      2959, 2947, 2946, 2939, 2900, 2666, 2637, 2894, 2890, 2576, 2561, 2882,
-      2881, 2529, 2832, 2829, 2827, 2823, 2821, 2248,
-    ],
-    [
-      3028, 3029, 3030, 3031, 3032, 3033, 3034, 3035, 3036, 3016, 3005, 2975,
-      2969, 2957, 2950, 2943, 2915, 2710, 2680, 2906, 2903, 2620, 2591, 2889,
-      2885, 2545, 2850, 2841, 2840, 2834, 2833, 2264,
-    ],
-    [
-      3037, 3038, 3039, 3040, 3041, 3042, 3043, 3044, 3045, 3026, 3003, 2979,
-      2973, 2961, 2954, 2945, 2917, 2724, 2695, 2909, 2905, 2635, 2606, 2891,
-      2887, 2560, 2851, 2843, 2842, 2836, 2835, 2280,
-    ],
-    [
-      3046, 3047, 3048, 3049, 3050, 3051, 3052, 3053, 3054, 3024, 3014, 2984,
-      2982, 2965, 2962, 2949, 2919, 2753, 2738, 2912, 2910, 2664, 2650, 2895,
-      2892, 2575, 2856, 2847, 2846, 2838, 2837, 2296,
-    ],
-    [
-      3055, 3056, 3057, 3058, 3059, 3060, 3061, 3044, 3062, 3035, 3001, 2988,
-      2971, 2968, 2955, 2951, 2767, 2922, 2920, 2693, 2678, 2904, 2902, 2605,
-      2590, 2897, 2858, 2857, 2849, 2848, 2839, 2312,
-    ],
-    [
-      3063, 3064, 3065, 3066, 3067, 3068, 3069, 3053, 3070, 3033, 3012, 2990,
-      2981, 2976, 2964, 2958, 2781, 2929, 2925, 2736, 2708, 2911, 2907, 2649,
-      2619, 2899, 2860, 2859, 2853, 2852, 2844, 2328,
-    ],
-    [
-      3071, 3072, 3073, 3074, 3075, 3076, 3077, 3051, 3078, 3042, 3022, 2993,
-      2983, 2977, 2966, 2960, 2795, 2931, 2926, 2751, 2722, 2913, 2908, 2663,
-      2634, 2901, 2862, 2861, 2855, 2854, 2845, 2344,
-    ],
-    [
-      3079, 3080, 3081, 3082, 3083, 3084, 3085, 3068, 3086, 3060, 3031, 2996,
-      2991, 2986, 2974, 2970, 2809, 2935, 2932, 2779, 2765, 2924, 2921, 2707,
-      2677, 2914, 2874, 2872, 2868, 2866, 2863, 2360,
-    ],
-    [
-      3087, 3088, 3089, 3090, 3091, 3084, 3092, 3076, 3093, 3058, 3040, 2995,
-      2994, 2987, 2978, 2972, 2807, 2937, 2933, 2793, 2764, 2927, 2923, 2721,
-      2692, 2916, 2875, 2873, 2869, 2867, 2864, 2376,
-    ],
-    [
-      3094, 3095, 3096, 3090, 3097, 3082, 3098, 3074, 3099, 3066, 3049, 2997,
-      2992, 2989, 2985, 2980, 2806, 2936, 2934, 2792, 2778, 2930, 2928, 2750,
-      2735, 2918, 2877, 2876, 2871, 2870, 2865, 2392,
-    ],
-    [3006, 3027, 3017, 3100],
-    [3015, 3036, 3004, 3101],
-    [3025, 3002, 3045, 3102],
-    [3054, 3013, 3023, 3103],
-    [3000, 3062, 3034, 3104],
-    [3061, 2999, 3043, 3105],
-    [3011, 3032, 3070, 3106],
-    [3078, 3021, 3041, 3107],
-    [3010, 3052, 3069, 3108],
-    [3020, 3077, 3050, 3109],
-    [3086, 3030, 3059, 3110],
-    [3093, 3057, 3039, 3111],
-    [3029, 3085, 3067, 3112],
-    [3075, 3092, 3038, 3113],
-    [3048, 3099, 3065, 3114],
-    [3098, 3047, 3073, 3115],
-    [3056, 3091, 3083, 3116],
-    [3081, 3097, 3064, 3117],
-    [3072, 3089, 3096, 3118],
-    [3095, 3080, 3088, 3119],
-    [
-      3119, 3094, 3087, 3118, 3079, 3117, 3116, 3071, 3115, 3063, 3114, 3113,
-      3112, 3055, 3111, 3110, 3046, 3037, 3028, 3109, 3108, 3107, 3106, 3105,
-      3104, 3019, 3009, 2998, 3103, 3102, 3101, 3100,
-    ],
-  ],
-}
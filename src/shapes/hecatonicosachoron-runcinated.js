@@ -1,18932 +0,0 @@
-export default {
-  vertices: [
-    [-0.30901699437494745, -0.08582862415720885, 0.0, 0.0],
-    [
-      -0.30901699437494745, -0.06397287934359985, -0.04523565679588827,
-      0.03503938908504592,
-    ],
-    [
-      -0.30901699437494745, -0.06397287934359985, -0.0077271726827928145,
-      -0.05669492248463638,
-    ],
-    [
-      -0.30901699437494745, -0.06397287934359985, 0.052962829478681084,
-      0.021655533399590463,
-    ],
-    [-0.30901699437494745, -0.02860954138573628, -0.08092000288196519, 0.0],
-    [
-      -0.30901699437494745, -0.02860954138573628, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      -0.30901699437494745, -0.02860954138573628, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      -0.30901699437494745, -0.02860954138573628, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.30901699437494745, -0.02860954138573628, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.30901699437494745, -0.02860954138573628, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      -0.30901699437494745, 0.02860954138573628, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      -0.30901699437494745, 0.02860954138573628, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.30901699437494745, 0.02860954138573628, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.30901699437494745, 0.02860954138573628, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      -0.30901699437494745, 0.02860954138573628, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [-0.30901699437494745, 0.02860954138573628, 0.08092000288196519, 0.0],
-    [
-      -0.30901699437494745, 0.06397287934359985, -0.052962829478681084,
-      -0.021655533399590463,
-    ],
-    [
-      -0.30901699437494745, 0.06397287934359985, 0.0077271726827928145,
-      0.05669492248463638,
-    ],
-    [
-      -0.30901699437494745, 0.06397287934359985, 0.04523565679588827,
-      -0.03503938908504592,
-    ],
-    [-0.30901699437494745, 0.08582862415720885, 0.0, 0.0],
-    [
-      -0.290089364147732, -0.13211983452187692, -0.03273282875818978,
-      -0.013383855685455463,
-    ],
-    [
-      -0.290089364147732, -0.13211983452187692, 0.004775655354905669,
-      0.03503938908504592,
-    ],
-    [
-      -0.290089364147732, -0.13211983452187692, 0.027957173403284113,
-      -0.021655533399590463,
-    ],
-    [
-      -0.290089364147732, -0.11026408970826793, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      -0.290089364147732, -0.11026408970826793, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, -0.11026408970826793, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, -0.11026408970826793, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      -0.290089364147732, -0.11026408970826793, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [-0.290089364147732, -0.11026408970826793, 0.08092000288196519, 0.0],
-    [
-      -0.290089364147732, -0.07490075175040434, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, -0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, -0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.290089364147732, -0.07490075175040434, 0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      -0.290089364147732, -0.039537413792540776, -0.12615565967785347,
-      0.03503938908504592,
-    ],
-    [
-      -0.290089364147732, -0.039537413792540776, -0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, -0.039537413792540776, -0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, -0.039537413792540776, 0.03273282875818978,
-      -0.1267737006547282,
-    ],
-    [
-      -0.290089364147732, -0.039537413792540776, 0.09342283091966369,
-      0.09173431156968231,
-    ],
-    [-0.290089364147732, -0.039537413792540776, 0.13093131503275912, 0.0],
-    [
-      -0.290089364147732, -0.017681668978931787, -0.1338828323606463,
-      -0.021655533399590463,
-    ],
-    [
-      -0.290089364147732, -0.017681668978931787, -0.11070131431226783,
-      -0.07835045588422684,
-    ],
-    [
-      -0.290089364147732, -0.017681668978931787, -0.012502828037698484,
-      0.1350453783688632,
-    ],
-    [
-      -0.290089364147732, -0.017681668978931787, 0.048187174123775406,
-      0.1267737006547282,
-    ],
-    [
-      -0.290089364147732, -0.017681668978931787, 0.08569565823687086,
-      -0.10511816725513776,
-    ],
-    [
-      -0.290089364147732, -0.017681668978931787, 0.12320414234996632,
-      -0.05669492248463638,
-    ],
-    [
-      -0.290089364147732, 0.017681668978931787, -0.12320414234996632,
-      0.05669492248463638,
-    ],
-    [
-      -0.290089364147732, 0.017681668978931787, -0.08569565823687086,
-      0.10511816725513776,
-    ],
-    [
-      -0.290089364147732, 0.017681668978931787, -0.048187174123775406,
-      -0.1267737006547282,
-    ],
-    [
-      -0.290089364147732, 0.017681668978931787, 0.012502828037698484,
-      -0.1350453783688632,
-    ],
-    [
-      -0.290089364147732, 0.017681668978931787, 0.11070131431226783,
-      0.07835045588422684,
-    ],
-    [
-      -0.290089364147732, 0.017681668978931787, 0.1338828323606463,
-      0.021655533399590463,
-    ],
-    [-0.290089364147732, 0.039537413792540776, -0.13093131503275912, 0.0],
-    [
-      -0.290089364147732, 0.039537413792540776, -0.09342283091966369,
-      -0.09173431156968231,
-    ],
-    [
-      -0.290089364147732, 0.039537413792540776, -0.03273282875818978,
-      0.1267737006547282,
-    ],
-    [
-      -0.290089364147732, 0.039537413792540776, 0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, 0.039537413792540776, 0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, 0.039537413792540776, 0.12615565967785347,
-      -0.03503938908504592,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, -0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, 0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, 0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, 0.07490075175040434, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [-0.290089364147732, 0.11026408970826793, -0.08092000288196519, 0.0],
-    [
-      -0.290089364147732, 0.11026408970826793, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      -0.290089364147732, 0.11026408970826793, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      -0.290089364147732, 0.11026408970826793, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, 0.11026408970826793, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.290089364147732, 0.11026408970826793, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      -0.290089364147732, 0.13211983452187692, -0.027957173403284113,
-      0.021655533399590463,
-    ],
-    [
-      -0.290089364147732, 0.13211983452187692, -0.004775655354905669,
-      -0.03503938908504592,
-    ],
-    [
-      -0.290089364147732, 0.13211983452187692, 0.03273282875818978,
-      0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, -0.18516484145867224, -0.03273282875818978,
-      -0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, -0.18516484145867224, 0.004775655354905669,
-      0.03503938908504592,
-    ],
-    [
-      -0.2594638151136077, -0.18516484145867224, 0.027957173403284113,
-      -0.021655533399590463,
-    ],
-    [
-      -0.2594638151136077, -0.14980150350080867, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      -0.2594638151136077, -0.14980150350080867, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      -0.2594638151136077, -0.14980150350080867, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      -0.2594638151136077, -0.14980150350080867, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.2594638151136077, -0.14980150350080867, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.2594638151136077, -0.14980150350080867, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, -0.11443816554294511, -0.11842848699506064,
-      0.09173431156968231,
-    ],
-    [
-      -0.2594638151136077, -0.11443816554294511, -0.020230000720491297,
-      -0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, -0.11443816554294511, 0.13865848771555195,
-      0.05669492248463638,
-    ],
-    [
-      -0.2594638151136077, -0.09258242072933612, -0.1636641437909489,
-      -0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, -0.09258242072933612, -0.12615565967785347,
-      -0.10511816725513776,
-    ],
-    [
-      -0.2594638151136077, -0.09258242072933612, -0.027957173403284113,
-      0.16181308973977415,
-    ],
-    [
-      -0.2594638151136077, -0.09258242072933612, 0.07024131287128524,
-      0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, -0.09258242072933612, 0.09342283091966369,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2594638151136077, -0.09258242072933612, 0.15411283308113757,
-      -0.05669492248463638,
-    ],
-    [
-      -0.2594638151136077, -0.05721908277147256, -0.17616697182864738,
-      0.03503938908504592,
-    ],
-    [
-      -0.2594638151136077, -0.05721908277147256, -0.10115000360245649,
-      -0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, -0.05721908277147256, -0.07796848555407804,
-      0.16181308973977415,
-    ],
-    [
-      -0.2594638151136077, -0.05721908277147256, 0.05773848483358675,
-      -0.17008476745390916,
-    ],
-    [
-      -0.2594638151136077, -0.05721908277147256, 0.11842848699506064,
-      0.1350453783688632,
-    ],
-    [
-      -0.2594638151136077, -0.05721908277147256, 0.17911848915653455,
-      -0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, -0.035363337957863575, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      -0.2594638151136077, -0.035363337957863575, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.2594638151136077, -0.035363337957863575, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.2594638151136077, -0.035363337957863575, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      -0.2594638151136077, -0.035363337957863575, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, -0.035363337957863575, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.2594638151136077, 0.035363337957863575, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.2594638151136077, 0.035363337957863575, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, 0.035363337957863575, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      -0.2594638151136077, 0.035363337957863575, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.2594638151136077, 0.035363337957863575, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.2594638151136077, 0.035363337957863575, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      -0.2594638151136077, 0.05721908277147256, -0.17911848915653455,
-      0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, 0.05721908277147256, -0.11842848699506064,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2594638151136077, 0.05721908277147256, -0.05773848483358675,
-      0.17008476745390916,
-    ],
-    [
-      -0.2594638151136077, 0.05721908277147256, 0.07796848555407804,
-      -0.16181308973977415,
-    ],
-    [
-      -0.2594638151136077, 0.05721908277147256, 0.10115000360245649,
-      0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, 0.05721908277147256, 0.17616697182864738,
-      -0.03503938908504592,
-    ],
-    [
-      -0.2594638151136077, 0.09258242072933612, -0.15411283308113757,
-      0.05669492248463638,
-    ],
-    [
-      -0.2594638151136077, 0.09258242072933612, -0.09342283091966369,
-      0.1350453783688632,
-    ],
-    [
-      -0.2594638151136077, 0.09258242072933612, -0.07024131287128524,
-      -0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, 0.09258242072933612, 0.027957173403284113,
-      -0.16181308973977415,
-    ],
-    [
-      -0.2594638151136077, 0.09258242072933612, 0.12615565967785347,
-      0.10511816725513776,
-    ],
-    [
-      -0.2594638151136077, 0.09258242072933612, 0.1636641437909489,
-      0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, 0.11443816554294511, -0.13865848771555195,
-      -0.05669492248463638,
-    ],
-    [
-      -0.2594638151136077, 0.11443816554294511, 0.020230000720491297,
-      0.14842923405431868,
-    ],
-    [
-      -0.2594638151136077, 0.11443816554294511, 0.11842848699506064,
-      -0.09173431156968231,
-    ],
-    [
-      -0.2594638151136077, 0.14980150350080867, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      -0.2594638151136077, 0.14980150350080867, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.2594638151136077, 0.14980150350080867, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.2594638151136077, 0.14980150350080867, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      -0.2594638151136077, 0.14980150350080867, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      -0.2594638151136077, 0.14980150350080867, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.2594638151136077, 0.18516484145867224, -0.027957173403284113,
-      0.021655533399590463,
-    ],
-    [
-      -0.2594638151136077, 0.18516484145867224, -0.004775655354905669,
-      -0.03503938908504592,
-    ],
-    [
-      -0.2594638151136077, 0.18516484145867224, 0.03273282875818978,
-      0.013383855685455463,
-    ],
-    [
-      -0.24053618488639233, -0.19609271386547678, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      -0.24053618488639233, -0.19609271386547678, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, -0.19609271386547678, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, -0.19609271386547678, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      -0.24053618488639233, -0.19609271386547678, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [-0.24053618488639233, -0.19609271386547678, 0.08092000288196519, 0.0],
-    [
-      -0.24053618488639233, -0.1388736310940042, -0.15888848843604325,
-      0.021655533399590463,
-    ],
-    [
-      -0.24053618488639233, -0.1388736310940042, -0.09819848627456934,
-      -0.1267737006547282,
-    ],
-    [
-      -0.24053618488639233, -0.1388736310940042, -0.0606900021614739,
-      0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, -0.1388736310940042, 0.0606900021614739,
-      -0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, -0.1388736310940042, 0.09819848627456934,
-      0.1267737006547282,
-    ],
-    [
-      -0.24053618488639233, -0.1388736310940042, 0.15888848843604325,
-      -0.021655533399590463,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, -0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, 0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, 0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.24053618488639233, -0.10351029313614063, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      -0.24053618488639233, -0.04629121036466806, -0.19162131719423303,
-      -0.07835045588422684,
-    ],
-    [
-      -0.24053618488639233, -0.04629121036466806, 0.027957173403284113,
-      0.20512415653895505,
-    ],
-    [
-      -0.24053618488639233, -0.04629121036466806, 0.1636641437909489,
-      -0.1267737006547282,
-    ],
-    [
-      -0.24053618488639233, -0.010927872406804491, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      -0.24053618488639233, -0.010927872406804491, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, -0.010927872406804491, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, -0.010927872406804491, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.24053618488639233, -0.010927872406804491, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [-0.24053618488639233, -0.010927872406804491, 0.21185131791472434, 0.0],
-    [-0.24053618488639233, 0.010927872406804491, -0.21185131791472434, 0.0],
-    [
-      -0.24053618488639233, 0.010927872406804491, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, 0.010927872406804491, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      -0.24053618488639233, 0.010927872406804491, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, 0.010927872406804491, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, 0.010927872406804491, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      -0.24053618488639233, 0.04629121036466806, -0.1636641437909489,
-      0.1267737006547282,
-    ],
-    [
-      -0.24053618488639233, 0.04629121036466806, -0.027957173403284113,
-      -0.20512415653895505,
-    ],
-    [
-      -0.24053618488639233, 0.04629121036466806, 0.19162131719423303,
-      0.07835045588422684,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, -0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, -0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, 0.10351029313614063, 0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, 0.1388736310940042, -0.15888848843604325,
-      0.021655533399590463,
-    ],
-    [
-      -0.24053618488639233, 0.1388736310940042, -0.09819848627456934,
-      -0.1267737006547282,
-    ],
-    [
-      -0.24053618488639233, 0.1388736310940042, -0.0606900021614739,
-      0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, 0.1388736310940042, 0.0606900021614739,
-      -0.14842923405431868,
-    ],
-    [
-      -0.24053618488639233, 0.1388736310940042, 0.09819848627456934,
-      0.1267737006547282,
-    ],
-    [
-      -0.24053618488639233, 0.1388736310940042, 0.15888848843604325,
-      -0.021655533399590463,
-    ],
-    [-0.24053618488639233, 0.19609271386547678, -0.08092000288196519, 0.0],
-    [
-      -0.24053618488639233, 0.19609271386547678, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      -0.24053618488639233, 0.19609271386547678, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      -0.24053618488639233, 0.19609271386547678, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, 0.19609271386547678, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.24053618488639233, 0.19609271386547678, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [-0.22883826607948332, -0.224702255251213, 0.0, 0.0],
-    [
-      -0.22883826607948332, -0.16748317247974048, -0.11842848699506064,
-      0.09173431156968231,
-    ],
-    [
-      -0.22883826607948332, -0.16748317247974048, -0.020230000720491297,
-      -0.14842923405431868,
-    ],
-    [
-      -0.22883826607948332, -0.16748317247974048, 0.13865848771555195,
-      0.05669492248463638,
-    ],
-    [-0.22883826607948332, -0.07490075175040434, -0.21185131791472434, 0.0],
-    [
-      -0.22883826607948332, -0.07490075175040434, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      -0.22883826607948332, -0.07490075175040434, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      -0.22883826607948332, -0.07490075175040434, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.22883826607948332, -0.07490075175040434, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.22883826607948332, -0.07490075175040434, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      -0.22883826607948332, 0.07490075175040434, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      -0.22883826607948332, 0.07490075175040434, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.22883826607948332, 0.07490075175040434, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.22883826607948332, 0.07490075175040434, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.22883826607948332, 0.07490075175040434, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [-0.22883826607948332, 0.07490075175040434, 0.21185131791472434, 0.0],
-    [
-      -0.22883826607948332, 0.16748317247974048, -0.13865848771555195,
-      -0.05669492248463638,
-    ],
-    [
-      -0.22883826607948332, 0.16748317247974048, 0.020230000720491297,
-      0.14842923405431868,
-    ],
-    [
-      -0.22883826607948332, 0.16748317247974048, 0.11842848699506064,
-      -0.09173431156968231,
-    ],
-    [-0.22883826607948332, 0.224702255251213, 0.0, 0.0],
-    [
-      -0.20991063585226793, -0.2356301276580175, -0.04523565679588827,
-      0.03503938908504592,
-    ],
-    [
-      -0.20991063585226793, -0.2356301276580175, -0.0077271726827928145,
-      -0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, -0.2356301276580175, 0.052962829478681084,
-      0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, -0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, -0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, -0.21377438284440853, 0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, -0.17841104488654497, -0.1636641437909489,
-      -0.013383855685455463,
-    ],
-    [
-      -0.20991063585226793, -0.17841104488654497, -0.12615565967785347,
-      -0.10511816725513776,
-    ],
-    [
-      -0.20991063585226793, -0.17841104488654497, -0.027957173403284113,
-      0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, -0.17841104488654497, 0.07024131287128524,
-      0.14842923405431868,
-    ],
-    [
-      -0.20991063585226793, -0.17841104488654497, 0.09342283091966369,
-      -0.1350453783688632,
-    ],
-    [
-      -0.20991063585226793, -0.17841104488654497, 0.15411283308113757,
-      -0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, -0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, 0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, 0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.156555300072936, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, -0.12119196211507241, -0.20707566255981863,
-      0.03503938908504592,
-    ],
-    [
-      -0.20991063585226793, -0.12119196211507241, -0.12320414234996632,
-      -0.17008476745390916,
-    ],
-    [
-      -0.20991063585226793, -0.12119196211507241, -0.08569565823687086,
-      0.19174030085349963,
-    ],
-    [
-      -0.20991063585226793, -0.12119196211507241, 0.07319283019917239,
-      -0.1968524788248201,
-    ],
-    [
-      -0.20991063585226793, -0.12119196211507241, 0.1338828323606463,
-      0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, -0.12119196211507241, 0.20889980058683716,
-      -0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [-0.20991063585226793, -0.08582862415720885, 0.0, -0.22677968993854553],
-    [-0.20991063585226793, -0.08582862415720885, 0.0, 0.22677968993854553],
-    [
-      -0.20991063585226793, -0.08582862415720885, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, -0.08582862415720885, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, -0.2398084913180084,
-      0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, -0.21662697326962999,
-      0.10511816725513776,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, -0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, -0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, -0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, -0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, 0.017278483392604155,
-      -0.240163545624001,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, 0.10115000360245649,
-      -0.21850801222441052,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, 0.13865848771555195,
-      0.1968524788248201,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, 0.19934848987702586,
-      0.1350453783688632,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, 0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, -0.02860954138573628, 0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, -0.006753796572127295, -0.2243541459524228,
-      -0.09173431156968231,
-    ],
-    [
-      -0.20991063585226793, -0.006753796572127295, 0.03273282875818978,
-      0.240163545624001,
-    ],
-    [
-      -0.20991063585226793, -0.006753796572127295, 0.19162131719423303,
-      -0.14842923405431868,
-    ],
-    [
-      -0.20991063585226793, 0.006753796572127295, -0.19162131719423303,
-      0.14842923405431868,
-    ],
-    [
-      -0.20991063585226793, 0.006753796572127295, -0.03273282875818978,
-      -0.240163545624001,
-    ],
-    [
-      -0.20991063585226793, 0.006753796572127295, 0.2243541459524228,
-      0.09173431156968231,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, -0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, -0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, -0.19934848987702586,
-      -0.1350453783688632,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, -0.13865848771555195,
-      -0.1968524788248201,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, -0.10115000360245649,
-      0.21850801222441052,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, -0.017278483392604155,
-      0.240163545624001,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, 0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, 0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, 0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, 0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, 0.21662697326962999,
-      -0.10511816725513776,
-    ],
-    [
-      -0.20991063585226793, 0.02860954138573628, 0.2398084913180084,
-      -0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [-0.20991063585226793, 0.08582862415720885, 0.0, -0.22677968993854553],
-    [-0.20991063585226793, 0.08582862415720885, 0.0, 0.22677968993854553],
-    [
-      -0.20991063585226793, 0.08582862415720885, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.08582862415720885, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, 0.12119196211507241, -0.20889980058683716,
-      0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, 0.12119196211507241, -0.1338828323606463,
-      -0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, 0.12119196211507241, -0.07319283019917239,
-      0.1968524788248201,
-    ],
-    [
-      -0.20991063585226793, 0.12119196211507241, 0.08569565823687086,
-      -0.19174030085349963,
-    ],
-    [
-      -0.20991063585226793, 0.12119196211507241, 0.12320414234996632,
-      0.17008476745390916,
-    ],
-    [
-      -0.20991063585226793, 0.12119196211507241, 0.20707566255981863,
-      -0.03503938908504592,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, -0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, -0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, 0.156555300072936, 0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, 0.17841104488654497, -0.15411283308113757,
-      0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, 0.17841104488654497, -0.09342283091966369,
-      0.1350453783688632,
-    ],
-    [
-      -0.20991063585226793, 0.17841104488654497, -0.07024131287128524,
-      -0.14842923405431868,
-    ],
-    [
-      -0.20991063585226793, 0.17841104488654497, 0.027957173403284113,
-      -0.16181308973977415,
-    ],
-    [
-      -0.20991063585226793, 0.17841104488654497, 0.12615565967785347,
-      0.10511816725513776,
-    ],
-    [
-      -0.20991063585226793, 0.17841104488654497, 0.1636641437909489,
-      0.013383855685455463,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, -0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, 0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, 0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.20991063585226793, 0.21377438284440853, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [
-      -0.20991063585226793, 0.2356301276580175, -0.052962829478681084,
-      -0.021655533399590463,
-    ],
-    [
-      -0.20991063585226793, 0.2356301276580175, 0.0077271726827928145,
-      0.05669492248463638,
-    ],
-    [
-      -0.20991063585226793, 0.2356301276580175, 0.04523565679588827,
-      -0.03503938908504592,
-    ],
-    [-0.1792850868181436, -0.25331179663694936, -0.08092000288196519, 0.0],
-    [
-      -0.1792850868181436, -0.25331179663694936, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, -0.25331179663694936, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      -0.1792850868181436, -0.25331179663694936, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, -0.25331179663694936, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, -0.25331179663694936, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      -0.1792850868181436, -0.23145605182334034, -0.12615565967785347,
-      0.03503938908504592,
-    ],
-    [
-      -0.1792850868181436, -0.23145605182334034, -0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, -0.23145605182334034, -0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, -0.23145605182334034, 0.03273282875818978,
-      -0.1267737006547282,
-    ],
-    [
-      -0.1792850868181436, -0.23145605182334034, 0.09342283091966369,
-      0.09173431156968231,
-    ],
-    [-0.1792850868181436, -0.23145605182334034, 0.13093131503275912, 0.0],
-    [
-      -0.1792850868181436, -0.19609271386547678, -0.17616697182864738,
-      0.03503938908504592,
-    ],
-    [
-      -0.1792850868181436, -0.19609271386547678, -0.10115000360245649,
-      -0.14842923405431868,
-    ],
-    [
-      -0.1792850868181436, -0.19609271386547678, -0.07796848555407804,
-      0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, -0.19609271386547678, 0.05773848483358675,
-      -0.17008476745390916,
-    ],
-    [
-      -0.1792850868181436, -0.19609271386547678, 0.11842848699506064,
-      0.1350453783688632,
-    ],
-    [
-      -0.1792850868181436, -0.19609271386547678, 0.17911848915653455,
-      -0.013383855685455463,
-    ],
-    [-0.1792850868181436, -0.16072937590761316, -0.21185131791472434, 0.0],
-    [
-      -0.1792850868181436, -0.16072937590761316, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      -0.1792850868181436, -0.16072937590761316, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      -0.1792850868181436, -0.16072937590761316, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, -0.16072937590761316, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, -0.16072937590761316, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [-0.1792850868181436, -0.1388736310940042, 0.0, -0.22677968993854553],
-    [-0.1792850868181436, -0.1388736310940042, 0.0, 0.22677968993854553],
-    [
-      -0.1792850868181436, -0.1388736310940042, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, -0.1388736310940042, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, -0.10351029313614063, -0.23208131863521564,
-      0.07835045588422684,
-    ],
-    [
-      -0.1792850868181436, -0.10351029313614063, -0.1338828323606463,
-      0.20512415653895505,
-    ],
-    [
-      -0.1792850868181436, -0.10351029313614063, -0.11070131431226783,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1792850868181436, -0.10351029313614063, 0.048187174123775406,
-      -0.240163545624001,
-    ],
-    [
-      -0.1792850868181436, -0.10351029313614063, 0.1838941445114402,
-      0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, -0.10351029313614063, 0.24458414667291412,
-      0.013383855685455463,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, -0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, -0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, -0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, 0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, 0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, -0.04629121036466806, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [-0.1792850868181436, -0.04629121036466806, 0.26186263006551824, 0.0],
-    [
-      -0.1792850868181436, -0.010927872406804491, -0.26481414739340536,
-      -0.021655533399590463,
-    ],
-    [
-      -0.1792850868181436, -0.010927872406804491, -0.2041241452319315,
-      -0.17008476745390916,
-    ],
-    [
-      -0.1792850868181436, -0.010927872406804491, -0.04523565679588827,
-      0.26181907902359147,
-    ],
-    [
-      -0.1792850868181436, -0.010927872406804491, 0.11365283164015497,
-      0.240163545624001,
-    ],
-    [
-      -0.1792850868181436, -0.010927872406804491, 0.15116131575325042,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1792850868181436, -0.010927872406804491, 0.24935980202781977,
-      -0.09173431156968231,
-    ],
-    [
-      -0.1792850868181436, 0.010927872406804491, -0.24935980202781977,
-      0.09173431156968231,
-    ],
-    [
-      -0.1792850868181436, 0.010927872406804491, -0.15116131575325042,
-      0.21850801222441052,
-    ],
-    [
-      -0.1792850868181436, 0.010927872406804491, -0.11365283164015497,
-      -0.240163545624001,
-    ],
-    [
-      -0.1792850868181436, 0.010927872406804491, 0.04523565679588827,
-      -0.26181907902359147,
-    ],
-    [
-      -0.1792850868181436, 0.010927872406804491, 0.2041241452319315,
-      0.17008476745390916,
-    ],
-    [
-      -0.1792850868181436, 0.010927872406804491, 0.26481414739340536,
-      0.021655533399590463,
-    ],
-    [-0.1792850868181436, 0.04629121036466806, -0.26186263006551824, 0.0],
-    [
-      -0.1792850868181436, 0.04629121036466806, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, -0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, -0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, 0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, 0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, 0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, 0.04629121036466806, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, 0.10351029313614063, -0.24458414667291412,
-      -0.013383855685455463,
-    ],
-    [
-      -0.1792850868181436, 0.10351029313614063, -0.1838941445114402,
-      -0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, 0.10351029313614063, -0.048187174123775406,
-      0.240163545624001,
-    ],
-    [
-      -0.1792850868181436, 0.10351029313614063, 0.11070131431226783,
-      0.21850801222441052,
-    ],
-    [
-      -0.1792850868181436, 0.10351029313614063, 0.1338828323606463,
-      -0.20512415653895505,
-    ],
-    [
-      -0.1792850868181436, 0.10351029313614063, 0.23208131863521564,
-      -0.07835045588422684,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [-0.1792850868181436, 0.1388736310940042, 0.0, -0.22677968993854553],
-    [-0.1792850868181436, 0.1388736310940042, 0.0, 0.22677968993854553],
-    [
-      -0.1792850868181436, 0.1388736310940042, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, 0.1388736310940042, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, 0.16072937590761316, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      -0.1792850868181436, 0.16072937590761316, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, 0.16072937590761316, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.1792850868181436, 0.16072937590761316, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.1792850868181436, 0.16072937590761316, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [-0.1792850868181436, 0.16072937590761316, 0.21185131791472434, 0.0],
-    [
-      -0.1792850868181436, 0.19609271386547678, -0.17911848915653455,
-      0.013383855685455463,
-    ],
-    [
-      -0.1792850868181436, 0.19609271386547678, -0.11842848699506064,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1792850868181436, 0.19609271386547678, -0.05773848483358675,
-      0.17008476745390916,
-    ],
-    [
-      -0.1792850868181436, 0.19609271386547678, 0.07796848555407804,
-      -0.16181308973977415,
-    ],
-    [
-      -0.1792850868181436, 0.19609271386547678, 0.10115000360245649,
-      0.14842923405431868,
-    ],
-    [
-      -0.1792850868181436, 0.19609271386547678, 0.17616697182864738,
-      -0.03503938908504592,
-    ],
-    [-0.1792850868181436, 0.23145605182334034, -0.13093131503275912, 0.0],
-    [
-      -0.1792850868181436, 0.23145605182334034, -0.09342283091966369,
-      -0.09173431156968231,
-    ],
-    [
-      -0.1792850868181436, 0.23145605182334034, -0.03273282875818978,
-      0.1267737006547282,
-    ],
-    [
-      -0.1792850868181436, 0.23145605182334034, 0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, 0.23145605182334034, 0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      -0.1792850868181436, 0.23145605182334034, 0.12615565967785347,
-      -0.03503938908504592,
-    ],
-    [
-      -0.1792850868181436, 0.25331179663694936, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      -0.1792850868181436, 0.25331179663694936, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, 0.25331179663694936, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.1792850868181436, 0.25331179663694936, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      -0.1792850868181436, 0.25331179663694936, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [-0.1792850868181436, 0.25331179663694936, 0.08092000288196519, 0.0],
-    [
-      -0.1603574565909282, -0.24238392423014482, -0.1338828323606463,
-      -0.021655533399590463,
-    ],
-    [
-      -0.1603574565909282, -0.24238392423014482, -0.11070131431226783,
-      -0.07835045588422684,
-    ],
-    [
-      -0.1603574565909282, -0.24238392423014482, -0.012502828037698484,
-      0.1350453783688632,
-    ],
-    [
-      -0.1603574565909282, -0.24238392423014482, 0.048187174123775406,
-      0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, -0.24238392423014482, 0.08569565823687086,
-      -0.10511816725513776,
-    ],
-    [
-      -0.1603574565909282, -0.24238392423014482, 0.12320414234996632,
-      -0.05669492248463638,
-    ],
-    [
-      -0.1603574565909282, -0.20702058627228126, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      -0.1603574565909282, -0.20702058627228126, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.1603574565909282, -0.20702058627228126, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.1603574565909282, -0.20702058627228126, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      -0.1603574565909282, -0.20702058627228126, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      -0.1603574565909282, -0.20702058627228126, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.1603574565909282, -0.18516484145867224, -0.19162131719423303,
-      -0.07835045588422684,
-    ],
-    [
-      -0.1603574565909282, -0.18516484145867224, 0.027957173403284113,
-      0.20512415653895505,
-    ],
-    [
-      -0.1603574565909282, -0.18516484145867224, 0.1636641437909489,
-      -0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, -0.09258242072933612, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      -0.1603574565909282, -0.09258242072933612, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.1603574565909282, -0.09258242072933612, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.1603574565909282, -0.09258242072933612, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      -0.1603574565909282, -0.09258242072933612, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, -0.09258242072933612, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.1603574565909282, -0.035363337957863575, -0.24458414667291412,
-      0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, -0.035363337957863575, -0.1838941445114402,
-      0.20512415653895505,
-    ],
-    [
-      -0.1603574565909282, -0.035363337957863575, -0.08569565823687086,
-      -0.26181907902359147,
-    ],
-    [
-      -0.1603574565909282, -0.035363337957863575, 0.012502828037698484,
-      -0.2752029347090469,
-    ],
-    [
-      -0.1603574565909282, -0.035363337957863575, 0.23208131863521564,
-      0.14842923405431868,
-    ],
-    [
-      -0.1603574565909282, -0.035363337957863575, 0.2695898027483111,
-      0.05669492248463638,
-    ],
-    [-0.1603574565909282, 0.0, -0.2570869747106126, -0.10511816725513776],
-    [-0.1603574565909282, 0.0, -0.21957849059751716, 0.17008476745390916],
-    [-0.1603574565909282, 0.0, -0.03750848411309545, -0.2752029347090469],
-    [-0.1603574565909282, 0.0, 0.03750848411309545, 0.2752029347090469],
-    [-0.1603574565909282, 0.0, 0.21957849059751716, -0.17008476745390916],
-    [-0.1603574565909282, 0.0, 0.2570869747106126, 0.10511816725513776],
-    [
-      -0.1603574565909282, 0.035363337957863575, -0.2695898027483111,
-      -0.05669492248463638,
-    ],
-    [
-      -0.1603574565909282, 0.035363337957863575, -0.23208131863521564,
-      -0.14842923405431868,
-    ],
-    [
-      -0.1603574565909282, 0.035363337957863575, -0.012502828037698484,
-      0.2752029347090469,
-    ],
-    [
-      -0.1603574565909282, 0.035363337957863575, 0.08569565823687086,
-      0.26181907902359147,
-    ],
-    [
-      -0.1603574565909282, 0.035363337957863575, 0.1838941445114402,
-      -0.20512415653895505,
-    ],
-    [
-      -0.1603574565909282, 0.035363337957863575, 0.24458414667291412,
-      -0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, 0.09258242072933612, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.1603574565909282, 0.09258242072933612, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, 0.09258242072933612, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      -0.1603574565909282, 0.09258242072933612, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.1603574565909282, 0.09258242072933612, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.1603574565909282, 0.09258242072933612, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1603574565909282, 0.18516484145867224, -0.1636641437909489,
-      0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, 0.18516484145867224, -0.027957173403284113,
-      -0.20512415653895505,
-    ],
-    [
-      -0.1603574565909282, 0.18516484145867224, 0.19162131719423303,
-      0.07835045588422684,
-    ],
-    [
-      -0.1603574565909282, 0.20702058627228126, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.1603574565909282, 0.20702058627228126, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      -0.1603574565909282, 0.20702058627228126, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      -0.1603574565909282, 0.20702058627228126, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.1603574565909282, 0.20702058627228126, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.1603574565909282, 0.20702058627228126, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      -0.1603574565909282, 0.24238392423014482, -0.12320414234996632,
-      0.05669492248463638,
-    ],
-    [
-      -0.1603574565909282, 0.24238392423014482, -0.08569565823687086,
-      0.10511816725513776,
-    ],
-    [
-      -0.1603574565909282, 0.24238392423014482, -0.048187174123775406,
-      -0.1267737006547282,
-    ],
-    [
-      -0.1603574565909282, 0.24238392423014482, 0.012502828037698484,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1603574565909282, 0.24238392423014482, 0.11070131431226783,
-      0.07835045588422684,
-    ],
-    [
-      -0.1603574565909282, 0.24238392423014482, 0.1338828323606463,
-      0.021655533399590463,
-    ],
-    [
-      -0.12973190755680386, -0.2819213380226856, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      -0.12973190755680386, -0.2819213380226856, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, -0.2819213380226856, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, -0.2819213380226856, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, -0.2819213380226856, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [-0.12973190755680386, -0.2819213380226856, 0.08092000288196519, 0.0],
-    [
-      -0.12973190755680386, -0.26006559320907663, -0.12320414234996632,
-      0.05669492248463638,
-    ],
-    [
-      -0.12973190755680386, -0.26006559320907663, -0.08569565823687086,
-      0.10511816725513776,
-    ],
-    [
-      -0.12973190755680386, -0.26006559320907663, -0.048187174123775406,
-      -0.1267737006547282,
-    ],
-    [
-      -0.12973190755680386, -0.26006559320907663, 0.012502828037698484,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, -0.26006559320907663, 0.11070131431226783,
-      0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, -0.26006559320907663, 0.1338828323606463,
-      0.021655533399590463,
-    ],
-    [
-      -0.12973190755680386, -0.20284651043760404, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      -0.12973190755680386, -0.20284651043760404, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, -0.20284651043760404, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, -0.20284651043760404, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.12973190755680386, -0.20284651043760404, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [-0.12973190755680386, -0.20284651043760404, 0.21185131791472434, 0.0],
-    [
-      -0.12973190755680386, -0.16748317247974048, -0.2398084913180084,
-      0.021655533399590463,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, -0.21662697326962999,
-      0.10511816725513776,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, -0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, -0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, -0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, -0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, 0.017278483392604155,
-      -0.240163545624001,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, 0.10115000360245649,
-      -0.21850801222441052,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, 0.13865848771555195,
-      0.1968524788248201,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, 0.19934848987702586,
-      0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, 0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      -0.12973190755680386, -0.16748317247974048, 0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, -0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, -0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, -0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, 0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, 0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, -0.13211983452187692, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [-0.12973190755680386, -0.13211983452187692, 0.26186263006551824, 0.0],
-    [
-      -0.12973190755680386, -0.07490075175040434, -0.27254132007619825,
-      -0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, -0.07490075175040434, -0.24935980202781977,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, -0.07490075175040434, 0.0077271726827928145,
-      0.28347461242318195,
-    ],
-    [
-      -0.12973190755680386, -0.07490075175040434, 0.06841717484426671,
-      0.2752029347090469,
-    ],
-    [
-      -0.12973190755680386, -0.07490075175040434, 0.2041241452319315,
-      -0.1968524788248201,
-    ],
-    [
-      -0.12973190755680386, -0.07490075175040434, 0.24163262934502694,
-      -0.14842923405431868,
-    ],
-    [
-      -0.12973190755680386, -0.039537413792540776, -0.28504414811389667,
-      0.05669492248463638,
-    ],
-    [
-      -0.12973190755680386, -0.039537413792540776, -0.1636641437909489,
-      -0.240163545624001,
-    ],
-    [
-      -0.12973190755680386, -0.039537413792540776, -0.12615565967785347,
-      0.26181907902359147,
-    ],
-    [
-      -0.12973190755680386, -0.039537413792540776, 0.09342283091966369,
-      -0.2752029347090469,
-    ],
-    [
-      -0.12973190755680386, -0.039537413792540776, 0.19162131719423303,
-      0.21850801222441052,
-    ],
-    [
-      -0.12973190755680386, -0.039537413792540776, 0.2898198034688023,
-      -0.021655533399590463,
-    ],
-    [-0.12973190755680386, -0.017681668978931787, -0.29277132079668955, 0.0],
-    [
-      -0.12973190755680386, -0.017681668978931787, -0.20889980058683716,
-      -0.20512415653895505,
-    ],
-    [
-      -0.12973190755680386, -0.017681668978931787, -0.07319283019917239,
-      0.28347461242318195,
-    ],
-    [
-      -0.12973190755680386, -0.017681668978931787, 0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, -0.017681668978931787, 0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, -0.017681668978931787, 0.28209263078600955,
-      -0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, 0.017681668978931787, -0.28209263078600955,
-      0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, 0.017681668978931787, -0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, 0.017681668978931787, -0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, 0.017681668978931787, 0.07319283019917239,
-      -0.28347461242318195,
-    ],
-    [
-      -0.12973190755680386, 0.017681668978931787, 0.20889980058683716,
-      0.20512415653895505,
-    ],
-    [-0.12973190755680386, 0.017681668978931787, 0.29277132079668955, 0.0],
-    [
-      -0.12973190755680386, 0.039537413792540776, -0.2898198034688023,
-      0.021655533399590463,
-    ],
-    [
-      -0.12973190755680386, 0.039537413792540776, -0.19162131719423303,
-      -0.21850801222441052,
-    ],
-    [
-      -0.12973190755680386, 0.039537413792540776, -0.09342283091966369,
-      0.2752029347090469,
-    ],
-    [
-      -0.12973190755680386, 0.039537413792540776, 0.12615565967785347,
-      -0.26181907902359147,
-    ],
-    [
-      -0.12973190755680386, 0.039537413792540776, 0.1636641437909489,
-      0.240163545624001,
-    ],
-    [
-      -0.12973190755680386, 0.039537413792540776, 0.28504414811389667,
-      -0.05669492248463638,
-    ],
-    [
-      -0.12973190755680386, 0.07490075175040434, -0.24163262934502694,
-      0.14842923405431868,
-    ],
-    [
-      -0.12973190755680386, 0.07490075175040434, -0.2041241452319315,
-      0.1968524788248201,
-    ],
-    [
-      -0.12973190755680386, 0.07490075175040434, -0.06841717484426671,
-      -0.2752029347090469,
-    ],
-    [
-      -0.12973190755680386, 0.07490075175040434, -0.0077271726827928145,
-      -0.28347461242318195,
-    ],
-    [
-      -0.12973190755680386, 0.07490075175040434, 0.24935980202781977,
-      0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, 0.07490075175040434, 0.27254132007619825,
-      0.07835045588422684,
-    ],
-    [-0.12973190755680386, 0.13211983452187692, -0.26186263006551824, 0.0],
-    [
-      -0.12973190755680386, 0.13211983452187692, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, -0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, -0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, 0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, 0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, 0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, 0.13211983452187692, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, -0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, -0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, -0.19934848987702586,
-      -0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, -0.13865848771555195,
-      -0.1968524788248201,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, -0.10115000360245649,
-      0.21850801222441052,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, -0.017278483392604155,
-      0.240163545624001,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, 0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, 0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, 0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, 0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, 0.21662697326962999,
-      -0.10511816725513776,
-    ],
-    [
-      -0.12973190755680386, 0.16748317247974048, 0.2398084913180084,
-      -0.021655533399590463,
-    ],
-    [-0.12973190755680386, 0.20284651043760404, -0.21185131791472434, 0.0],
-    [
-      -0.12973190755680386, 0.20284651043760404, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      -0.12973190755680386, 0.20284651043760404, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      -0.12973190755680386, 0.20284651043760404, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, 0.20284651043760404, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.12973190755680386, 0.20284651043760404, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      -0.12973190755680386, 0.26006559320907663, -0.1338828323606463,
-      -0.021655533399590463,
-    ],
-    [
-      -0.12973190755680386, 0.26006559320907663, -0.11070131431226783,
-      -0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, 0.26006559320907663, -0.012502828037698484,
-      0.1350453783688632,
-    ],
-    [
-      -0.12973190755680386, 0.26006559320907663, 0.048187174123775406,
-      0.1267737006547282,
-    ],
-    [
-      -0.12973190755680386, 0.26006559320907663, 0.08569565823687086,
-      -0.10511816725513776,
-    ],
-    [
-      -0.12973190755680386, 0.26006559320907663, 0.12320414234996632,
-      -0.05669492248463638,
-    ],
-    [-0.12973190755680386, 0.2819213380226856, -0.08092000288196519, 0.0],
-    [
-      -0.12973190755680386, 0.2819213380226856, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      -0.12973190755680386, 0.2819213380226856, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      -0.12973190755680386, 0.2819213380226856, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, 0.2819213380226856, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.12973190755680386, 0.2819213380226856, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [-0.11080427732958847, -0.2709934656158811, -0.13093131503275912, 0.0],
-    [
-      -0.11080427732958847, -0.2709934656158811, -0.09342283091966369,
-      -0.09173431156968231,
-    ],
-    [
-      -0.11080427732958847, -0.2709934656158811, -0.03273282875818978,
-      0.1267737006547282,
-    ],
-    [
-      -0.11080427732958847, -0.2709934656158811, 0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, -0.2709934656158811, 0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, -0.2709934656158811, 0.12615565967785347,
-      -0.03503938908504592,
-    ],
-    [-0.11080427732958847, -0.21377438284440853, -0.21185131791472434, 0.0],
-    [
-      -0.11080427732958847, -0.21377438284440853, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      -0.11080427732958847, -0.21377438284440853, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      -0.11080427732958847, -0.21377438284440853, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, -0.21377438284440853, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, -0.21377438284440853, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      -0.11080427732958847, -0.17841104488654497, -0.2243541459524228,
-      -0.09173431156968231,
-    ],
-    [
-      -0.11080427732958847, -0.17841104488654497, 0.03273282875818978,
-      0.240163545624001,
-    ],
-    [
-      -0.11080427732958847, -0.17841104488654497, 0.19162131719423303,
-      -0.14842923405431868,
-    ],
-    [
-      -0.11080427732958847, -0.12119196211507241, -0.24458414667291412,
-      0.1267737006547282,
-    ],
-    [
-      -0.11080427732958847, -0.12119196211507241, -0.1838941445114402,
-      0.20512415653895505,
-    ],
-    [
-      -0.11080427732958847, -0.12119196211507241, -0.08569565823687086,
-      -0.26181907902359147,
-    ],
-    [
-      -0.11080427732958847, -0.12119196211507241, 0.012502828037698484,
-      -0.2752029347090469,
-    ],
-    [
-      -0.11080427732958847, -0.12119196211507241, 0.23208131863521564,
-      0.14842923405431868,
-    ],
-    [
-      -0.11080427732958847, -0.12119196211507241, 0.2695898027483111,
-      0.05669492248463638,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, -0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, 0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, 0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, -0.02860954138573628, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, -0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, -0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, 0.02860954138573628, 0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, 0.12119196211507241, -0.2695898027483111,
-      -0.05669492248463638,
-    ],
-    [
-      -0.11080427732958847, 0.12119196211507241, -0.23208131863521564,
-      -0.14842923405431868,
-    ],
-    [
-      -0.11080427732958847, 0.12119196211507241, -0.012502828037698484,
-      0.2752029347090469,
-    ],
-    [
-      -0.11080427732958847, 0.12119196211507241, 0.08569565823687086,
-      0.26181907902359147,
-    ],
-    [
-      -0.11080427732958847, 0.12119196211507241, 0.1838941445114402,
-      -0.20512415653895505,
-    ],
-    [
-      -0.11080427732958847, 0.12119196211507241, 0.24458414667291412,
-      -0.1267737006547282,
-    ],
-    [
-      -0.11080427732958847, 0.17841104488654497, -0.19162131719423303,
-      0.14842923405431868,
-    ],
-    [
-      -0.11080427732958847, 0.17841104488654497, -0.03273282875818978,
-      -0.240163545624001,
-    ],
-    [
-      -0.11080427732958847, 0.17841104488654497, 0.2243541459524228,
-      0.09173431156968231,
-    ],
-    [
-      -0.11080427732958847, 0.21377438284440853, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      -0.11080427732958847, 0.21377438284440853, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, 0.21377438284440853, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.11080427732958847, 0.21377438284440853, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.11080427732958847, 0.21377438284440853, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [-0.11080427732958847, 0.21377438284440853, 0.21185131791472434, 0.0],
-    [
-      -0.11080427732958847, 0.2709934656158811, -0.12615565967785347,
-      0.03503938908504592,
-    ],
-    [
-      -0.11080427732958847, 0.2709934656158811, -0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, 0.2709934656158811, -0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      -0.11080427732958847, 0.2709934656158811, 0.03273282875818978,
-      -0.1267737006547282,
-    ],
-    [
-      -0.11080427732958847, 0.2709934656158811, 0.09342283091966369,
-      0.09173431156968231,
-    ],
-    [-0.11080427732958847, 0.2709934656158811, 0.13093131503275912, 0.0],
-    [
-      -0.09910635852267949, -0.29960300700161735, -0.052962829478681084,
-      -0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, -0.29960300700161735, 0.0077271726827928145,
-      0.05669492248463638,
-    ],
-    [
-      -0.09910635852267949, -0.29960300700161735, 0.04523565679588827,
-      -0.03503938908504592,
-    ],
-    [
-      -0.09910635852267949, -0.24238392423014482, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.09910635852267949, -0.24238392423014482, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      -0.09910635852267949, -0.24238392423014482, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      -0.09910635852267949, -0.24238392423014482, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.09910635852267949, -0.24238392423014482, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.09910635852267949, -0.24238392423014482, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, -0.18516484145867224, -0.19162131719423303,
-      0.14842923405431868,
-    ],
-    [
-      -0.09910635852267949, -0.18516484145867224, -0.03273282875818978,
-      -0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, -0.18516484145867224, 0.2243541459524228,
-      0.09173431156968231,
-    ],
-    [
-      -0.09910635852267949, -0.14980150350080867, -0.26481414739340536,
-      -0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, -0.14980150350080867, -0.2041241452319315,
-      -0.17008476745390916,
-    ],
-    [
-      -0.09910635852267949, -0.14980150350080867, -0.04523565679588827,
-      0.26181907902359147,
-    ],
-    [
-      -0.09910635852267949, -0.14980150350080867, 0.11365283164015497,
-      0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, -0.14980150350080867, 0.15116131575325042,
-      -0.21850801222441052,
-    ],
-    [
-      -0.09910635852267949, -0.14980150350080867, 0.24935980202781977,
-      -0.09173431156968231,
-    ],
-    [
-      -0.09910635852267949, -0.09258242072933612, -0.28504414811389667,
-      0.05669492248463638,
-    ],
-    [
-      -0.09910635852267949, -0.09258242072933612, -0.1636641437909489,
-      -0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, -0.09258242072933612, -0.12615565967785347,
-      0.26181907902359147,
-    ],
-    [
-      -0.09910635852267949, -0.09258242072933612, 0.09342283091966369,
-      -0.2752029347090469,
-    ],
-    [
-      -0.09910635852267949, -0.09258242072933612, 0.19162131719423303,
-      0.21850801222441052,
-    ],
-    [
-      -0.09910635852267949, -0.09258242072933612, 0.2898198034688023,
-      -0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, -0.05721908277147256, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      -0.09910635852267949, -0.05721908277147256, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.09910635852267949, -0.05721908277147256, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.09910635852267949, -0.05721908277147256, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      -0.09910635852267949, -0.05721908277147256, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, -0.05721908277147256, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.09910635852267949, 0.05721908277147256, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.09910635852267949, 0.05721908277147256, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, 0.05721908277147256, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      -0.09910635852267949, 0.05721908277147256, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.09910635852267949, 0.05721908277147256, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.09910635852267949, 0.05721908277147256, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      -0.09910635852267949, 0.09258242072933612, -0.2898198034688023,
-      0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, 0.09258242072933612, -0.19162131719423303,
-      -0.21850801222441052,
-    ],
-    [
-      -0.09910635852267949, 0.09258242072933612, -0.09342283091966369,
-      0.2752029347090469,
-    ],
-    [
-      -0.09910635852267949, 0.09258242072933612, 0.12615565967785347,
-      -0.26181907902359147,
-    ],
-    [
-      -0.09910635852267949, 0.09258242072933612, 0.1636641437909489,
-      0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, 0.09258242072933612, 0.28504414811389667,
-      -0.05669492248463638,
-    ],
-    [
-      -0.09910635852267949, 0.14980150350080867, -0.24935980202781977,
-      0.09173431156968231,
-    ],
-    [
-      -0.09910635852267949, 0.14980150350080867, -0.15116131575325042,
-      0.21850801222441052,
-    ],
-    [
-      -0.09910635852267949, 0.14980150350080867, -0.11365283164015497,
-      -0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, 0.14980150350080867, 0.04523565679588827,
-      -0.26181907902359147,
-    ],
-    [
-      -0.09910635852267949, 0.14980150350080867, 0.2041241452319315,
-      0.17008476745390916,
-    ],
-    [
-      -0.09910635852267949, 0.14980150350080867, 0.26481414739340536,
-      0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, 0.18516484145867224, -0.2243541459524228,
-      -0.09173431156968231,
-    ],
-    [
-      -0.09910635852267949, 0.18516484145867224, 0.03273282875818978,
-      0.240163545624001,
-    ],
-    [
-      -0.09910635852267949, 0.18516484145867224, 0.19162131719423303,
-      -0.14842923405431868,
-    ],
-    [
-      -0.09910635852267949, 0.24238392423014482, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      -0.09910635852267949, 0.24238392423014482, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.09910635852267949, 0.24238392423014482, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.09910635852267949, 0.24238392423014482, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      -0.09910635852267949, 0.24238392423014482, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      -0.09910635852267949, 0.24238392423014482, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.09910635852267949, 0.29960300700161735, -0.04523565679588827,
-      0.03503938908504592,
-    ],
-    [
-      -0.09910635852267949, 0.29960300700161735, -0.0077271726827928145,
-      -0.05669492248463638,
-    ],
-    [
-      -0.09910635852267949, 0.29960300700161735, 0.052962829478681084,
-      0.021655533399590463,
-    ],
-    [-0.0801787282954641, -0.31053087940842183, 0.0, 0.0],
-    [
-      -0.0801787282954641, -0.28867513459481287, -0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, 0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, 0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, -0.28867513459481287, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [
-      -0.0801787282954641, -0.25331179663694936, -0.17911848915653455,
-      0.013383855685455463,
-    ],
-    [
-      -0.0801787282954641, -0.25331179663694936, -0.11842848699506064,
-      -0.1350453783688632,
-    ],
-    [
-      -0.0801787282954641, -0.25331179663694936, -0.05773848483358675,
-      0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, -0.25331179663694936, 0.07796848555407804,
-      -0.16181308973977415,
-    ],
-    [
-      -0.0801787282954641, -0.25331179663694936, 0.10115000360245649,
-      0.14842923405431868,
-    ],
-    [
-      -0.0801787282954641, -0.25331179663694936, 0.17616697182864738,
-      -0.03503938908504592,
-    ],
-    [
-      -0.0801787282954641, -0.23145605182334034, -0.1636641437909489,
-      0.1267737006547282,
-    ],
-    [
-      -0.0801787282954641, -0.23145605182334034, -0.027957173403284113,
-      -0.20512415653895505,
-    ],
-    [
-      -0.0801787282954641, -0.23145605182334034, 0.19162131719423303,
-      0.07835045588422684,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, -0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, -0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, -0.19934848987702586,
-      -0.1350453783688632,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, -0.13865848771555195,
-      -0.1968524788248201,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, -0.10115000360245649,
-      0.21850801222441052,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, -0.017278483392604155,
-      0.240163545624001,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, 0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, 0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, 0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, 0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, 0.21662697326962999,
-      -0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, -0.19609271386547678, 0.2398084913180084,
-      -0.021655533399590463,
-    ],
-    [
-      -0.0801787282954641, -0.16072937590761316, -0.24935980202781977,
-      0.09173431156968231,
-    ],
-    [
-      -0.0801787282954641, -0.16072937590761316, -0.15116131575325042,
-      0.21850801222441052,
-    ],
-    [
-      -0.0801787282954641, -0.16072937590761316, -0.11365283164015497,
-      -0.240163545624001,
-    ],
-    [
-      -0.0801787282954641, -0.16072937590761316, 0.04523565679588827,
-      -0.26181907902359147,
-    ],
-    [
-      -0.0801787282954641, -0.16072937590761316, 0.2041241452319315,
-      0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, -0.16072937590761316, 0.26481414739340536,
-      0.021655533399590463,
-    ],
-    [
-      -0.0801787282954641, -0.1388736310940042, -0.2570869747106126,
-      -0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, -0.1388736310940042, -0.21957849059751716,
-      0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, -0.1388736310940042, -0.03750848411309545,
-      -0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, -0.1388736310940042, 0.03750848411309545,
-      0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, -0.1388736310940042, 0.21957849059751716,
-      -0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, -0.1388736310940042, 0.2570869747106126,
-      0.10511816725513776,
-    ],
-    [-0.0801787282954641, -0.10351029313614063, -0.29277132079668955, 0.0],
-    [
-      -0.0801787282954641, -0.10351029313614063, -0.20889980058683716,
-      -0.20512415653895505,
-    ],
-    [
-      -0.0801787282954641, -0.10351029313614063, -0.07319283019917239,
-      0.28347461242318195,
-    ],
-    [
-      -0.0801787282954641, -0.10351029313614063, 0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      -0.0801787282954641, -0.10351029313614063, 0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      -0.0801787282954641, -0.10351029313614063, 0.28209263078600955,
-      -0.07835045588422684,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, -0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, 0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, 0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, -0.08165454832253163, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, -0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, -0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, -0.26481414739340536,
-      -0.16181308973977415,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, -0.16661566111883608,
-      -0.26181907902359147,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, -0.1434341430704576,
-      0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, -0.0077271726827928145,
-      0.3102423237940929,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, 0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, 0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, 0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, 0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, 0.27254132007619825,
-      -0.14842923405431868,
-    ],
-    [
-      -0.0801787282954641, -0.010927872406804491, 0.3100498041892936,
-      -0.013383855685455463,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, -0.3100498041892936,
-      0.013383855685455463,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, -0.27254132007619825,
-      0.14842923405431868,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, -0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, -0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, -0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, -0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, 0.0077271726827928145,
-      -0.3102423237940929,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, 0.1434341430704576,
-      -0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, 0.16661566111883608,
-      0.26181907902359147,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, 0.26481414739340536,
-      0.16181308973977415,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, 0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, 0.010927872406804491, 0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, -0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, -0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, 0.08165454832253163, 0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, 0.10351029313614063, -0.28209263078600955,
-      0.07835045588422684,
-    ],
-    [
-      -0.0801787282954641, 0.10351029313614063, -0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      -0.0801787282954641, 0.10351029313614063, -0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      -0.0801787282954641, 0.10351029313614063, 0.07319283019917239,
-      -0.28347461242318195,
-    ],
-    [
-      -0.0801787282954641, 0.10351029313614063, 0.20889980058683716,
-      0.20512415653895505,
-    ],
-    [-0.0801787282954641, 0.10351029313614063, 0.29277132079668955, 0.0],
-    [
-      -0.0801787282954641, 0.1388736310940042, -0.2570869747106126,
-      -0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, 0.1388736310940042, -0.21957849059751716,
-      0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, 0.1388736310940042, -0.03750848411309545,
-      -0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, 0.1388736310940042, 0.03750848411309545,
-      0.2752029347090469,
-    ],
-    [
-      -0.0801787282954641, 0.1388736310940042, 0.21957849059751716,
-      -0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, 0.1388736310940042, 0.2570869747106126,
-      0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, 0.16072937590761316, -0.26481414739340536,
-      -0.021655533399590463,
-    ],
-    [
-      -0.0801787282954641, 0.16072937590761316, -0.2041241452319315,
-      -0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, 0.16072937590761316, -0.04523565679588827,
-      0.26181907902359147,
-    ],
-    [
-      -0.0801787282954641, 0.16072937590761316, 0.11365283164015497,
-      0.240163545624001,
-    ],
-    [
-      -0.0801787282954641, 0.16072937590761316, 0.15116131575325042,
-      -0.21850801222441052,
-    ],
-    [
-      -0.0801787282954641, 0.16072937590761316, 0.24935980202781977,
-      -0.09173431156968231,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, -0.2398084913180084,
-      0.021655533399590463,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, -0.21662697326962999,
-      0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, -0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, -0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, -0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, -0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, 0.017278483392604155,
-      -0.240163545624001,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, 0.10115000360245649,
-      -0.21850801222441052,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, 0.13865848771555195,
-      0.1968524788248201,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, 0.19934848987702586,
-      0.1350453783688632,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, 0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, 0.19609271386547678, 0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, 0.23145605182334034, -0.19162131719423303,
-      -0.07835045588422684,
-    ],
-    [
-      -0.0801787282954641, 0.23145605182334034, 0.027957173403284113,
-      0.20512415653895505,
-    ],
-    [
-      -0.0801787282954641, 0.23145605182334034, 0.1636641437909489,
-      -0.1267737006547282,
-    ],
-    [
-      -0.0801787282954641, 0.25331179663694936, -0.17616697182864738,
-      0.03503938908504592,
-    ],
-    [
-      -0.0801787282954641, 0.25331179663694936, -0.10115000360245649,
-      -0.14842923405431868,
-    ],
-    [
-      -0.0801787282954641, 0.25331179663694936, -0.07796848555407804,
-      0.16181308973977415,
-    ],
-    [
-      -0.0801787282954641, 0.25331179663694936, 0.05773848483358675,
-      -0.17008476745390916,
-    ],
-    [
-      -0.0801787282954641, 0.25331179663694936, 0.11842848699506064,
-      0.1350453783688632,
-    ],
-    [
-      -0.0801787282954641, 0.25331179663694936, 0.17911848915653455,
-      -0.013383855685455463,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, -0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, -0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      -0.0801787282954641, 0.28867513459481287, 0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [-0.0801787282954641, 0.31053087940842183, 0.0, 0.0],
-    [-0.049553179261339744, -0.3063568035737446, -0.08092000288196519, 0.0],
-    [
-      -0.049553179261339744, -0.3063568035737446, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, -0.3063568035737446, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      -0.049553179261339744, -0.3063568035737446, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, -0.3063568035737446, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, -0.3063568035737446, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      -0.049553179261339744, -0.2709934656158811, -0.15411283308113757,
-      0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, -0.2709934656158811, -0.09342283091966369,
-      0.1350453783688632,
-    ],
-    [
-      -0.049553179261339744, -0.2709934656158811, -0.07024131287128524,
-      -0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, -0.2709934656158811, 0.027957173403284113,
-      -0.16181308973977415,
-    ],
-    [
-      -0.049553179261339744, -0.2709934656158811, 0.12615565967785347,
-      0.10511816725513776,
-    ],
-    [
-      -0.049553179261339744, -0.2709934656158811, 0.1636641437909489,
-      0.013383855685455463,
-    ],
-    [
-      -0.049553179261339744, -0.2356301276580175, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, -0.2356301276580175, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, -0.2356301276580175, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, -0.2356301276580175, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, -0.2356301276580175, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [-0.049553179261339744, -0.2356301276580175, 0.21185131791472434, 0.0],
-    [-0.049553179261339744, -0.17841104488654497, -0.26186263006551824, 0.0],
-    [
-      -0.049553179261339744, -0.17841104488654497, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, -0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, -0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, 0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, 0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, 0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, -0.17841104488654497, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, -0.156555300072936, -0.2695898027483111,
-      -0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, -0.156555300072936, -0.23208131863521564,
-      -0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, -0.156555300072936, -0.012502828037698484,
-      0.2752029347090469,
-    ],
-    [
-      -0.049553179261339744, -0.156555300072936, 0.08569565823687086,
-      0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, -0.156555300072936, 0.1838941445114402,
-      -0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, -0.156555300072936, 0.24458414667291412,
-      -0.1267737006547282,
-    ],
-    [
-      -0.049553179261339744, -0.12119196211507241, -0.28209263078600955,
-      0.07835045588422684,
-    ],
-    [
-      -0.049553179261339744, -0.12119196211507241, -0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, -0.12119196211507241, -0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, -0.12119196211507241, 0.07319283019917239,
-      -0.28347461242318195,
-    ],
-    [
-      -0.049553179261339744, -0.12119196211507241, 0.20889980058683716,
-      0.20512415653895505,
-    ],
-    [-0.049553179261339744, -0.12119196211507241, 0.29277132079668955, 0.0],
-    [
-      -0.049553179261339744, -0.06397287934359985, -0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, -0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, -0.26481414739340536,
-      -0.16181308973977415,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, -0.16661566111883608,
-      -0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, -0.1434341430704576,
-      0.2752029347090469,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, -0.0077271726827928145,
-      0.3102423237940929,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, 0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, 0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, 0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, 0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, 0.27254132007619825,
-      -0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, -0.06397287934359985, 0.3100498041892936,
-      -0.013383855685455463,
-    ],
-    [
-      -0.049553179261339744, -0.02860954138573628, -0.3148254595441994,
-      -0.021655533399590463,
-    ],
-    [
-      -0.049553179261339744, -0.02860954138573628, -0.2398084913180084,
-      -0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, -0.02860954138573628, -0.05773848483358675,
-      0.3102423237940929,
-    ],
-    [
-      -0.049553179261339744, -0.02860954138573628, 0.13865848771555195,
-      0.28347461242318195,
-    ],
-    [
-      -0.049553179261339744, -0.02860954138573628, 0.17616697182864738,
-      -0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, -0.02860954138573628, 0.2975469761515952,
-      -0.10511816725513776,
-    ],
-    [
-      -0.049553179261339744, 0.02860954138573628, -0.2975469761515952,
-      0.10511816725513776,
-    ],
-    [
-      -0.049553179261339744, 0.02860954138573628, -0.17616697182864738,
-      0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, 0.02860954138573628, -0.13865848771555195,
-      -0.28347461242318195,
-    ],
-    [
-      -0.049553179261339744, 0.02860954138573628, 0.05773848483358675,
-      -0.3102423237940929,
-    ],
-    [
-      -0.049553179261339744, 0.02860954138573628, 0.2398084913180084,
-      0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, 0.02860954138573628, 0.3148254595441994,
-      0.021655533399590463,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, -0.3100498041892936,
-      0.013383855685455463,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, -0.27254132007619825,
-      0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, -0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, -0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, -0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, -0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, 0.0077271726827928145,
-      -0.3102423237940929,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, 0.1434341430704576,
-      -0.2752029347090469,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, 0.16661566111883608,
-      0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, 0.26481414739340536,
-      0.16181308973977415,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, 0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, 0.06397287934359985, 0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [-0.049553179261339744, 0.12119196211507241, -0.29277132079668955, 0.0],
-    [
-      -0.049553179261339744, 0.12119196211507241, -0.20889980058683716,
-      -0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, 0.12119196211507241, -0.07319283019917239,
-      0.28347461242318195,
-    ],
-    [
-      -0.049553179261339744, 0.12119196211507241, 0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, 0.12119196211507241, 0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, 0.12119196211507241, 0.28209263078600955,
-      -0.07835045588422684,
-    ],
-    [
-      -0.049553179261339744, 0.156555300072936, -0.24458414667291412,
-      0.1267737006547282,
-    ],
-    [
-      -0.049553179261339744, 0.156555300072936, -0.1838941445114402,
-      0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, 0.156555300072936, -0.08569565823687086,
-      -0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, 0.156555300072936, 0.012502828037698484,
-      -0.2752029347090469,
-    ],
-    [
-      -0.049553179261339744, 0.156555300072936, 0.23208131863521564,
-      0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, 0.156555300072936, 0.2695898027483111,
-      0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, -0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, -0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, -0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, 0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, 0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, 0.17841104488654497, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [-0.049553179261339744, 0.17841104488654497, 0.26186263006551824, 0.0],
-    [-0.049553179261339744, 0.2356301276580175, -0.21185131791472434, 0.0],
-    [
-      -0.049553179261339744, 0.2356301276580175, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, 0.2356301276580175, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      -0.049553179261339744, 0.2356301276580175, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, 0.2356301276580175, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      -0.049553179261339744, 0.2356301276580175, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, 0.2709934656158811, -0.1636641437909489,
-      -0.013383855685455463,
-    ],
-    [
-      -0.049553179261339744, 0.2709934656158811, -0.12615565967785347,
-      -0.10511816725513776,
-    ],
-    [
-      -0.049553179261339744, 0.2709934656158811, -0.027957173403284113,
-      0.16181308973977415,
-    ],
-    [
-      -0.049553179261339744, 0.2709934656158811, 0.07024131287128524,
-      0.14842923405431868,
-    ],
-    [
-      -0.049553179261339744, 0.2709934656158811, 0.09342283091966369,
-      -0.1350453783688632,
-    ],
-    [
-      -0.049553179261339744, 0.2709934656158811, 0.15411283308113757,
-      -0.05669492248463638,
-    ],
-    [
-      -0.049553179261339744, 0.3063568035737446, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      -0.049553179261339744, 0.3063568035737446, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, 0.3063568035737446, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      -0.049553179261339744, 0.3063568035737446, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      -0.049553179261339744, 0.3063568035737446, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [-0.049553179261339744, 0.3063568035737446, 0.08092000288196519, 0.0],
-    [
-      -0.030625549034124365, -0.3172846759805492, -0.027957173403284113,
-      0.021655533399590463,
-    ],
-    [
-      -0.030625549034124365, -0.3172846759805492, -0.004775655354905669,
-      -0.03503938908504592,
-    ],
-    [
-      -0.030625549034124365, -0.3172846759805492, 0.03273282875818978,
-      0.013383855685455463,
-    ],
-    [
-      -0.030625549034124365, -0.2819213380226856, -0.13865848771555195,
-      -0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, -0.2819213380226856, 0.020230000720491297,
-      0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, -0.2819213380226856, 0.11842848699506064,
-      -0.09173431156968231,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, -0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, -0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, -0.26006559320907663, 0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [-0.030625549034124365, -0.224702255251213, 0.0, -0.22677968993854553],
-    [-0.030625549034124365, -0.224702255251213, 0.0, 0.22677968993854553],
-    [
-      -0.030625549034124365, -0.224702255251213, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.224702255251213, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, -0.13211983452187692, -0.2898198034688023,
-      0.021655533399590463,
-    ],
-    [
-      -0.030625549034124365, -0.13211983452187692, -0.19162131719423303,
-      -0.21850801222441052,
-    ],
-    [
-      -0.030625549034124365, -0.13211983452187692, -0.09342283091966369,
-      0.2752029347090469,
-    ],
-    [
-      -0.030625549034124365, -0.13211983452187692, 0.12615565967785347,
-      -0.26181907902359147,
-    ],
-    [
-      -0.030625549034124365, -0.13211983452187692, 0.1636641437909489,
-      0.240163545624001,
-    ],
-    [
-      -0.030625549034124365, -0.13211983452187692, 0.28504414811389667,
-      -0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, -0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, -0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.11026408970826793, 0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, -0.3100498041892936,
-      0.013383855685455463,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, -0.27254132007619825,
-      0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, -0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, -0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, -0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, -0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, 0.0077271726827928145,
-      -0.3102423237940929,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, 0.1434341430704576,
-      -0.2752029347090469,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, 0.16661566111883608,
-      0.26181907902359147,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, 0.26481414739340536,
-      0.16181308973977415,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, 0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, -0.07490075175040434, 0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, -0.017681668978931787, -0.2695898027483111,
-      0.17008476745390916,
-    ],
-    [
-      -0.030625549034124365, -0.017681668978931787, -0.23208131863521564,
-      0.21850801222441052,
-    ],
-    [
-      -0.030625549034124365, -0.017681668978931787, -0.07319283019917239,
-      -0.3102423237940929,
-    ],
-    [
-      -0.030625549034124365, -0.017681668978931787, -0.012502828037698484,
-      -0.31851400150822784,
-    ],
-    [
-      -0.030625549034124365, -0.017681668978931787, 0.28209263078600955,
-      0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, -0.017681668978931787, 0.30527414883438797,
-      0.09173431156968231,
-    ],
-    [
-      -0.030625549034124365, 0.017681668978931787, -0.30527414883438797,
-      -0.09173431156968231,
-    ],
-    [
-      -0.030625549034124365, 0.017681668978931787, -0.28209263078600955,
-      -0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, 0.017681668978931787, 0.012502828037698484,
-      0.31851400150822784,
-    ],
-    [
-      -0.030625549034124365, 0.017681668978931787, 0.07319283019917239,
-      0.3102423237940929,
-    ],
-    [
-      -0.030625549034124365, 0.017681668978931787, 0.23208131863521564,
-      -0.21850801222441052,
-    ],
-    [
-      -0.030625549034124365, 0.017681668978931787, 0.2695898027483111,
-      -0.17008476745390916,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, -0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, -0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, -0.26481414739340536,
-      -0.16181308973977415,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, -0.16661566111883608,
-      -0.26181907902359147,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, -0.1434341430704576,
-      0.2752029347090469,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, -0.0077271726827928145,
-      0.3102423237940929,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, 0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, 0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, 0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, 0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, 0.27254132007619825,
-      -0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, 0.07490075175040434, 0.3100498041892936,
-      -0.013383855685455463,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, -0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, 0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, 0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, 0.11026408970826793, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      -0.030625549034124365, 0.13211983452187692, -0.28504414811389667,
-      0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, 0.13211983452187692, -0.1636641437909489,
-      -0.240163545624001,
-    ],
-    [
-      -0.030625549034124365, 0.13211983452187692, -0.12615565967785347,
-      0.26181907902359147,
-    ],
-    [
-      -0.030625549034124365, 0.13211983452187692, 0.09342283091966369,
-      -0.2752029347090469,
-    ],
-    [
-      -0.030625549034124365, 0.13211983452187692, 0.19162131719423303,
-      0.21850801222441052,
-    ],
-    [
-      -0.030625549034124365, 0.13211983452187692, 0.2898198034688023,
-      -0.021655533399590463,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [-0.030625549034124365, 0.224702255251213, 0.0, -0.22677968993854553],
-    [-0.030625549034124365, 0.224702255251213, 0.0, 0.22677968993854553],
-    [
-      -0.030625549034124365, 0.224702255251213, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.224702255251213, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, -0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, 0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, 0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      -0.030625549034124365, 0.26006559320907663, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      -0.030625549034124365, 0.2819213380226856, -0.11842848699506064,
-      0.09173431156968231,
-    ],
-    [
-      -0.030625549034124365, 0.2819213380226856, -0.020230000720491297,
-      -0.14842923405431868,
-    ],
-    [
-      -0.030625549034124365, 0.2819213380226856, 0.13865848771555195,
-      0.05669492248463638,
-    ],
-    [
-      -0.030625549034124365, 0.3172846759805492, -0.03273282875818978,
-      -0.013383855685455463,
-    ],
-    [
-      -0.030625549034124365, 0.3172846759805492, 0.004775655354905669,
-      0.03503938908504592,
-    ],
-    [
-      -0.030625549034124365, 0.3172846759805492, 0.027957173403284113,
-      -0.021655533399590463,
-    ],
-    [0.0, -0.29960300700161735, -0.11365283164015497, -0.013383855685455463],
-    [0.0, -0.29960300700161735, -0.09047131359177654, -0.07007877817009184],
-    [0.0, -0.29960300700161735, -0.015454345365585629, 0.11338984496927276],
-    [0.0, -0.29960300700161735, 0.04523565679588827, 0.10511816725513776],
-    [0.0, -0.29960300700161735, 0.06841717484426671, -0.09173431156968231],
-    [0.0, -0.29960300700161735, 0.10592565895736217, -0.043311066799180925],
-    [0.0, -0.2777472621880084, -0.15888848843604325, 0.021655533399590463],
-    [0.0, -0.2777472621880084, -0.09819848627456934, -0.1267737006547282],
-    [0.0, -0.2777472621880084, -0.0606900021614739, 0.14842923405431868],
-    [0.0, -0.2777472621880084, 0.0606900021614739, -0.14842923405431868],
-    [0.0, -0.2777472621880084, 0.09819848627456934, 0.1267737006547282],
-    [0.0, -0.2777472621880084, 0.15888848843604325, -0.021655533399590463],
-    [0.0, -0.24238392423014482, -0.20889980058683716, 0.021655533399590463],
-    [0.0, -0.24238392423014482, -0.1338828323606463, -0.16181308973977415],
-    [0.0, -0.24238392423014482, -0.07319283019917239, 0.1968524788248201],
-    [0.0, -0.24238392423014482, 0.08569565823687086, -0.19174030085349963],
-    [0.0, -0.24238392423014482, 0.12320414234996632, 0.17008476745390916],
-    [0.0, -0.24238392423014482, 0.20707566255981863, -0.03503938908504592],
-    [0.0, -0.20702058627228126, -0.24458414667291412, -0.013383855685455463],
-    [0.0, -0.20702058627228126, -0.1838941445114402, -0.16181308973977415],
-    [0.0, -0.20702058627228126, -0.048187174123775406, 0.240163545624001],
-    [0.0, -0.20702058627228126, 0.11070131431226783, 0.21850801222441052],
-    [0.0, -0.20702058627228126, 0.1338828323606463, -0.20512415653895505],
-    [0.0, -0.20702058627228126, 0.23208131863521564, -0.07835045588422684],
-    [0.0, -0.18516484145867224, -0.25231131935570694, -0.07007877817009184],
-    [0.0, -0.18516484145867224, -0.22912980130732846, -0.1267737006547282],
-    [0.0, -0.18516484145867224, 0.004775655354905669, 0.26181907902359147],
-    [0.0, -0.18516484145867224, 0.06546565751637956, 0.2535474013094564],
-    [0.0, -0.18516484145867224, 0.18684566183932738, -0.18346862313936463],
-    [0.0, -0.18516484145867224, 0.2243541459524228, -0.1350453783688632],
-    [0.0, -0.14980150350080867, -0.24163262934502694, 0.14842923405431868],
-    [0.0, -0.14980150350080867, -0.2041241452319315, 0.1968524788248201],
-    [0.0, -0.14980150350080867, -0.06841717484426671, -0.2752029347090469],
-    [0.0, -0.14980150350080867, -0.0077271726827928145, -0.28347461242318195],
-    [0.0, -0.14980150350080867, 0.24935980202781977, 0.1350453783688632],
-    [0.0, -0.14980150350080867, 0.27254132007619825, 0.07835045588422684],
-    [0.0, -0.11443816554294511, -0.2773169754311039, 0.11338984496927276],
-    [0.0, -0.11443816554294511, -0.17911848915653455, 0.240163545624001],
-    [0.0, -0.11443816554294511, -0.11842848699506064, -0.2752029347090469],
-    [0.0, -0.11443816554294511, 0.04046000144098259, -0.29685846810863736],
-    [0.0, -0.11443816554294511, 0.2368569739901213, 0.18346862313936463],
-    [0.0, -0.11443816554294511, 0.2975469761515952, 0.03503938908504592],
-    [0.0, -0.05721908277147256, -0.2975469761515952, 0.10511816725513776],
-    [0.0, -0.05721908277147256, -0.17616697182864738, 0.26181907902359147],
-    [0.0, -0.05721908277147256, -0.13865848771555195, -0.28347461242318195],
-    [0.0, -0.05721908277147256, 0.05773848483358675, -0.3102423237940929],
-    [0.0, -0.05721908277147256, 0.2398084913180084, 0.20512415653895505],
-    [0.0, -0.05721908277147256, 0.3148254595441994, 0.021655533399590463],
-    [0.0, -0.035363337957863575, -0.30527414883438797, -0.09173431156968231],
-    [0.0, -0.035363337957863575, -0.28209263078600955, -0.14842923405431868],
-    [0.0, -0.035363337957863575, 0.012502828037698484, 0.31851400150822784],
-    [0.0, -0.035363337957863575, 0.07319283019917239, 0.3102423237940929],
-    [0.0, -0.035363337957863575, 0.23208131863521564, -0.21850801222441052],
-    [0.0, -0.035363337957863575, 0.2695898027483111, -0.17008476745390916],
-    [0.0, 0.0, -0.3177769768720865, -0.043311066799180925],
-    [0.0, 0.0, -0.2945954588237081, 0.1267737006547282],
-    [0.0, 0.0, -0.2570869747106126, -0.19174030085349963],
-    [0.0, 0.0, -0.19639697254913868, 0.2535474013094564],
-    [0.0, 0.0, -0.1213800043229478, -0.29685846810863736],
-    [0.0, 0.0, -0.03750848411309545, 0.31851400150822784],
-    [0.0, 0.0, 0.03750848411309545, -0.31851400150822784],
-    [0.0, 0.0, 0.1213800043229478, 0.29685846810863736],
-    [0.0, 0.0, 0.19639697254913868, -0.2535474013094564],
-    [0.0, 0.0, 0.2570869747106126, 0.19174030085349963],
-    [0.0, 0.0, 0.2945954588237081, -0.1267737006547282],
-    [0.0, 0.0, 0.3177769768720865, 0.043311066799180925],
-    [0.0, 0.035363337957863575, -0.2695898027483111, 0.17008476745390916],
-    [0.0, 0.035363337957863575, -0.23208131863521564, 0.21850801222441052],
-    [0.0, 0.035363337957863575, -0.07319283019917239, -0.3102423237940929],
-    [0.0, 0.035363337957863575, -0.012502828037698484, -0.31851400150822784],
-    [0.0, 0.035363337957863575, 0.28209263078600955, 0.14842923405431868],
-    [0.0, 0.035363337957863575, 0.30527414883438797, 0.09173431156968231],
-    [0.0, 0.05721908277147256, -0.3148254595441994, -0.021655533399590463],
-    [0.0, 0.05721908277147256, -0.2398084913180084, -0.20512415653895505],
-    [0.0, 0.05721908277147256, -0.05773848483358675, 0.3102423237940929],
-    [0.0, 0.05721908277147256, 0.13865848771555195, 0.28347461242318195],
-    [0.0, 0.05721908277147256, 0.17616697182864738, -0.26181907902359147],
-    [0.0, 0.05721908277147256, 0.2975469761515952, -0.10511816725513776],
-    [0.0, 0.11443816554294511, -0.2975469761515952, -0.03503938908504592],
-    [0.0, 0.11443816554294511, -0.2368569739901213, -0.18346862313936463],
-    [0.0, 0.11443816554294511, -0.04046000144098259, 0.29685846810863736],
-    [0.0, 0.11443816554294511, 0.11842848699506064, 0.2752029347090469],
-    [0.0, 0.11443816554294511, 0.17911848915653455, -0.240163545624001],
-    [0.0, 0.11443816554294511, 0.2773169754311039, -0.11338984496927276],
-    [0.0, 0.14980150350080867, -0.27254132007619825, -0.07835045588422684],
-    [0.0, 0.14980150350080867, -0.24935980202781977, -0.1350453783688632],
-    [0.0, 0.14980150350080867, 0.0077271726827928145, 0.28347461242318195],
-    [0.0, 0.14980150350080867, 0.06841717484426671, 0.2752029347090469],
-    [0.0, 0.14980150350080867, 0.2041241452319315, -0.1968524788248201],
-    [0.0, 0.14980150350080867, 0.24163262934502694, -0.14842923405431868],
-    [0.0, 0.18516484145867224, -0.2243541459524228, 0.1350453783688632],
-    [0.0, 0.18516484145867224, -0.18684566183932738, 0.18346862313936463],
-    [0.0, 0.18516484145867224, -0.06546565751637956, -0.2535474013094564],
-    [0.0, 0.18516484145867224, -0.004775655354905669, -0.26181907902359147],
-    [0.0, 0.18516484145867224, 0.22912980130732846, 0.1267737006547282],
-    [0.0, 0.18516484145867224, 0.25231131935570694, 0.07007877817009184],
-    [0.0, 0.20702058627228126, -0.23208131863521564, 0.07835045588422684],
-    [0.0, 0.20702058627228126, -0.1338828323606463, 0.20512415653895505],
-    [0.0, 0.20702058627228126, -0.11070131431226783, -0.21850801222441052],
-    [0.0, 0.20702058627228126, 0.048187174123775406, -0.240163545624001],
-    [0.0, 0.20702058627228126, 0.1838941445114402, 0.16181308973977415],
-    [0.0, 0.20702058627228126, 0.24458414667291412, 0.013383855685455463],
-    [0.0, 0.24238392423014482, -0.20707566255981863, 0.03503938908504592],
-    [0.0, 0.24238392423014482, -0.12320414234996632, -0.17008476745390916],
-    [0.0, 0.24238392423014482, -0.08569565823687086, 0.19174030085349963],
-    [0.0, 0.24238392423014482, 0.07319283019917239, -0.1968524788248201],
-    [0.0, 0.24238392423014482, 0.1338828323606463, 0.16181308973977415],
-    [0.0, 0.24238392423014482, 0.20889980058683716, -0.021655533399590463],
-    [0.0, 0.2777472621880084, -0.15888848843604325, 0.021655533399590463],
-    [0.0, 0.2777472621880084, -0.09819848627456934, -0.1267737006547282],
-    [0.0, 0.2777472621880084, -0.0606900021614739, 0.14842923405431868],
-    [0.0, 0.2777472621880084, 0.0606900021614739, -0.14842923405431868],
-    [0.0, 0.2777472621880084, 0.09819848627456934, 0.1267737006547282],
-    [0.0, 0.2777472621880084, 0.15888848843604325, -0.021655533399590463],
-    [0.0, 0.29960300700161735, -0.10592565895736217, 0.043311066799180925],
-    [0.0, 0.29960300700161735, -0.06841717484426671, 0.09173431156968231],
-    [0.0, 0.29960300700161735, -0.04523565679588827, -0.10511816725513776],
-    [0.0, 0.29960300700161735, 0.015454345365585629, -0.11338984496927276],
-    [0.0, 0.29960300700161735, 0.09047131359177654, 0.07007877817009184],
-    [0.0, 0.29960300700161735, 0.11365283164015497, 0.013383855685455463],
-    [
-      0.030625549034124365, -0.3172846759805492, -0.027957173403284113,
-      0.021655533399590463,
-    ],
-    [
-      0.030625549034124365, -0.3172846759805492, -0.004775655354905669,
-      -0.03503938908504592,
-    ],
-    [
-      0.030625549034124365, -0.3172846759805492, 0.03273282875818978,
-      0.013383855685455463,
-    ],
-    [
-      0.030625549034124365, -0.2819213380226856, -0.13865848771555195,
-      -0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, -0.2819213380226856, 0.020230000720491297,
-      0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, -0.2819213380226856, 0.11842848699506064,
-      -0.09173431156968231,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, -0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, -0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, -0.26006559320907663, 0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [0.030625549034124365, -0.224702255251213, 0.0, -0.22677968993854553],
-    [0.030625549034124365, -0.224702255251213, 0.0, 0.22677968993854553],
-    [
-      0.030625549034124365, -0.224702255251213, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.224702255251213, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, -0.13211983452187692, -0.2898198034688023,
-      0.021655533399590463,
-    ],
-    [
-      0.030625549034124365, -0.13211983452187692, -0.19162131719423303,
-      -0.21850801222441052,
-    ],
-    [
-      0.030625549034124365, -0.13211983452187692, -0.09342283091966369,
-      0.2752029347090469,
-    ],
-    [
-      0.030625549034124365, -0.13211983452187692, 0.12615565967785347,
-      -0.26181907902359147,
-    ],
-    [
-      0.030625549034124365, -0.13211983452187692, 0.1636641437909489,
-      0.240163545624001,
-    ],
-    [
-      0.030625549034124365, -0.13211983452187692, 0.28504414811389667,
-      -0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, -0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, -0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.11026408970826793, 0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, -0.3100498041892936,
-      0.013383855685455463,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, -0.27254132007619825,
-      0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, -0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, -0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, -0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, -0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, 0.0077271726827928145,
-      -0.3102423237940929,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, 0.1434341430704576,
-      -0.2752029347090469,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, 0.16661566111883608,
-      0.26181907902359147,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, 0.26481414739340536,
-      0.16181308973977415,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, 0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, -0.07490075175040434, 0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, -0.017681668978931787, -0.2695898027483111,
-      0.17008476745390916,
-    ],
-    [
-      0.030625549034124365, -0.017681668978931787, -0.23208131863521564,
-      0.21850801222441052,
-    ],
-    [
-      0.030625549034124365, -0.017681668978931787, -0.07319283019917239,
-      -0.3102423237940929,
-    ],
-    [
-      0.030625549034124365, -0.017681668978931787, -0.012502828037698484,
-      -0.31851400150822784,
-    ],
-    [
-      0.030625549034124365, -0.017681668978931787, 0.28209263078600955,
-      0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, -0.017681668978931787, 0.30527414883438797,
-      0.09173431156968231,
-    ],
-    [
-      0.030625549034124365, 0.017681668978931787, -0.30527414883438797,
-      -0.09173431156968231,
-    ],
-    [
-      0.030625549034124365, 0.017681668978931787, -0.28209263078600955,
-      -0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, 0.017681668978931787, 0.012502828037698484,
-      0.31851400150822784,
-    ],
-    [
-      0.030625549034124365, 0.017681668978931787, 0.07319283019917239,
-      0.3102423237940929,
-    ],
-    [
-      0.030625549034124365, 0.017681668978931787, 0.23208131863521564,
-      -0.21850801222441052,
-    ],
-    [
-      0.030625549034124365, 0.017681668978931787, 0.2695898027483111,
-      -0.17008476745390916,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, -0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, -0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, -0.26481414739340536,
-      -0.16181308973977415,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, -0.16661566111883608,
-      -0.26181907902359147,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, -0.1434341430704576,
-      0.2752029347090469,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, -0.0077271726827928145,
-      0.3102423237940929,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, 0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, 0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, 0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, 0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, 0.27254132007619825,
-      -0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, 0.07490075175040434, 0.3100498041892936,
-      -0.013383855685455463,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, -0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, 0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, 0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, 0.11026408970826793, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      0.030625549034124365, 0.13211983452187692, -0.28504414811389667,
-      0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, 0.13211983452187692, -0.1636641437909489,
-      -0.240163545624001,
-    ],
-    [
-      0.030625549034124365, 0.13211983452187692, -0.12615565967785347,
-      0.26181907902359147,
-    ],
-    [
-      0.030625549034124365, 0.13211983452187692, 0.09342283091966369,
-      -0.2752029347090469,
-    ],
-    [
-      0.030625549034124365, 0.13211983452187692, 0.19162131719423303,
-      0.21850801222441052,
-    ],
-    [
-      0.030625549034124365, 0.13211983452187692, 0.2898198034688023,
-      -0.021655533399590463,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [0.030625549034124365, 0.224702255251213, 0.0, -0.22677968993854553],
-    [0.030625549034124365, 0.224702255251213, 0.0, 0.22677968993854553],
-    [
-      0.030625549034124365, 0.224702255251213, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.224702255251213, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, -0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, 0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, 0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.030625549034124365, 0.26006559320907663, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      0.030625549034124365, 0.2819213380226856, -0.11842848699506064,
-      0.09173431156968231,
-    ],
-    [
-      0.030625549034124365, 0.2819213380226856, -0.020230000720491297,
-      -0.14842923405431868,
-    ],
-    [
-      0.030625549034124365, 0.2819213380226856, 0.13865848771555195,
-      0.05669492248463638,
-    ],
-    [
-      0.030625549034124365, 0.3172846759805492, -0.03273282875818978,
-      -0.013383855685455463,
-    ],
-    [
-      0.030625549034124365, 0.3172846759805492, 0.004775655354905669,
-      0.03503938908504592,
-    ],
-    [
-      0.030625549034124365, 0.3172846759805492, 0.027957173403284113,
-      -0.021655533399590463,
-    ],
-    [0.049553179261339744, -0.3063568035737446, -0.08092000288196519, 0.0],
-    [
-      0.049553179261339744, -0.3063568035737446, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, -0.3063568035737446, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      0.049553179261339744, -0.3063568035737446, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, -0.3063568035737446, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, -0.3063568035737446, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      0.049553179261339744, -0.2709934656158811, -0.15411283308113757,
-      0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, -0.2709934656158811, -0.09342283091966369,
-      0.1350453783688632,
-    ],
-    [
-      0.049553179261339744, -0.2709934656158811, -0.07024131287128524,
-      -0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, -0.2709934656158811, 0.027957173403284113,
-      -0.16181308973977415,
-    ],
-    [
-      0.049553179261339744, -0.2709934656158811, 0.12615565967785347,
-      0.10511816725513776,
-    ],
-    [
-      0.049553179261339744, -0.2709934656158811, 0.1636641437909489,
-      0.013383855685455463,
-    ],
-    [
-      0.049553179261339744, -0.2356301276580175, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, -0.2356301276580175, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, -0.2356301276580175, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, -0.2356301276580175, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, -0.2356301276580175, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [0.049553179261339744, -0.2356301276580175, 0.21185131791472434, 0.0],
-    [0.049553179261339744, -0.17841104488654497, -0.26186263006551824, 0.0],
-    [
-      0.049553179261339744, -0.17841104488654497, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, -0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, -0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, 0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, 0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, 0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, -0.17841104488654497, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, -0.156555300072936, -0.2695898027483111,
-      -0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, -0.156555300072936, -0.23208131863521564,
-      -0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, -0.156555300072936, -0.012502828037698484,
-      0.2752029347090469,
-    ],
-    [
-      0.049553179261339744, -0.156555300072936, 0.08569565823687086,
-      0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, -0.156555300072936, 0.1838941445114402,
-      -0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, -0.156555300072936, 0.24458414667291412,
-      -0.1267737006547282,
-    ],
-    [
-      0.049553179261339744, -0.12119196211507241, -0.28209263078600955,
-      0.07835045588422684,
-    ],
-    [
-      0.049553179261339744, -0.12119196211507241, -0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, -0.12119196211507241, -0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, -0.12119196211507241, 0.07319283019917239,
-      -0.28347461242318195,
-    ],
-    [
-      0.049553179261339744, -0.12119196211507241, 0.20889980058683716,
-      0.20512415653895505,
-    ],
-    [0.049553179261339744, -0.12119196211507241, 0.29277132079668955, 0.0],
-    [
-      0.049553179261339744, -0.06397287934359985, -0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, -0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, -0.26481414739340536,
-      -0.16181308973977415,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, -0.16661566111883608,
-      -0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, -0.1434341430704576,
-      0.2752029347090469,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, -0.0077271726827928145,
-      0.3102423237940929,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, 0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, 0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, 0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, 0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, 0.27254132007619825,
-      -0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, -0.06397287934359985, 0.3100498041892936,
-      -0.013383855685455463,
-    ],
-    [
-      0.049553179261339744, -0.02860954138573628, -0.3148254595441994,
-      -0.021655533399590463,
-    ],
-    [
-      0.049553179261339744, -0.02860954138573628, -0.2398084913180084,
-      -0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, -0.02860954138573628, -0.05773848483358675,
-      0.3102423237940929,
-    ],
-    [
-      0.049553179261339744, -0.02860954138573628, 0.13865848771555195,
-      0.28347461242318195,
-    ],
-    [
-      0.049553179261339744, -0.02860954138573628, 0.17616697182864738,
-      -0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, -0.02860954138573628, 0.2975469761515952,
-      -0.10511816725513776,
-    ],
-    [
-      0.049553179261339744, 0.02860954138573628, -0.2975469761515952,
-      0.10511816725513776,
-    ],
-    [
-      0.049553179261339744, 0.02860954138573628, -0.17616697182864738,
-      0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, 0.02860954138573628, -0.13865848771555195,
-      -0.28347461242318195,
-    ],
-    [
-      0.049553179261339744, 0.02860954138573628, 0.05773848483358675,
-      -0.3102423237940929,
-    ],
-    [
-      0.049553179261339744, 0.02860954138573628, 0.2398084913180084,
-      0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, 0.02860954138573628, 0.3148254595441994,
-      0.021655533399590463,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, -0.3100498041892936,
-      0.013383855685455463,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, -0.27254132007619825,
-      0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, -0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, -0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, -0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, -0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, 0.0077271726827928145,
-      -0.3102423237940929,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, 0.1434341430704576,
-      -0.2752029347090469,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, 0.16661566111883608,
-      0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, 0.26481414739340536,
-      0.16181308973977415,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, 0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, 0.06397287934359985, 0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [0.049553179261339744, 0.12119196211507241, -0.29277132079668955, 0.0],
-    [
-      0.049553179261339744, 0.12119196211507241, -0.20889980058683716,
-      -0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, 0.12119196211507241, -0.07319283019917239,
-      0.28347461242318195,
-    ],
-    [
-      0.049553179261339744, 0.12119196211507241, 0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, 0.12119196211507241, 0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, 0.12119196211507241, 0.28209263078600955,
-      -0.07835045588422684,
-    ],
-    [
-      0.049553179261339744, 0.156555300072936, -0.24458414667291412,
-      0.1267737006547282,
-    ],
-    [
-      0.049553179261339744, 0.156555300072936, -0.1838941445114402,
-      0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, 0.156555300072936, -0.08569565823687086,
-      -0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, 0.156555300072936, 0.012502828037698484,
-      -0.2752029347090469,
-    ],
-    [
-      0.049553179261339744, 0.156555300072936, 0.23208131863521564,
-      0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, 0.156555300072936, 0.2695898027483111,
-      0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, -0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, -0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, -0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, 0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, 0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, 0.17841104488654497, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [0.049553179261339744, 0.17841104488654497, 0.26186263006551824, 0.0],
-    [0.049553179261339744, 0.2356301276580175, -0.21185131791472434, 0.0],
-    [
-      0.049553179261339744, 0.2356301276580175, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, 0.2356301276580175, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      0.049553179261339744, 0.2356301276580175, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, 0.2356301276580175, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.049553179261339744, 0.2356301276580175, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, 0.2709934656158811, -0.1636641437909489,
-      -0.013383855685455463,
-    ],
-    [
-      0.049553179261339744, 0.2709934656158811, -0.12615565967785347,
-      -0.10511816725513776,
-    ],
-    [
-      0.049553179261339744, 0.2709934656158811, -0.027957173403284113,
-      0.16181308973977415,
-    ],
-    [
-      0.049553179261339744, 0.2709934656158811, 0.07024131287128524,
-      0.14842923405431868,
-    ],
-    [
-      0.049553179261339744, 0.2709934656158811, 0.09342283091966369,
-      -0.1350453783688632,
-    ],
-    [
-      0.049553179261339744, 0.2709934656158811, 0.15411283308113757,
-      -0.05669492248463638,
-    ],
-    [
-      0.049553179261339744, 0.3063568035737446, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      0.049553179261339744, 0.3063568035737446, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, 0.3063568035737446, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.049553179261339744, 0.3063568035737446, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      0.049553179261339744, 0.3063568035737446, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [0.049553179261339744, 0.3063568035737446, 0.08092000288196519, 0.0],
-    [0.0801787282954641, -0.31053087940842183, 0.0, 0.0],
-    [
-      0.0801787282954641, -0.28867513459481287, -0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, 0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, 0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, -0.28867513459481287, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [
-      0.0801787282954641, -0.25331179663694936, -0.17911848915653455,
-      0.013383855685455463,
-    ],
-    [
-      0.0801787282954641, -0.25331179663694936, -0.11842848699506064,
-      -0.1350453783688632,
-    ],
-    [
-      0.0801787282954641, -0.25331179663694936, -0.05773848483358675,
-      0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, -0.25331179663694936, 0.07796848555407804,
-      -0.16181308973977415,
-    ],
-    [
-      0.0801787282954641, -0.25331179663694936, 0.10115000360245649,
-      0.14842923405431868,
-    ],
-    [
-      0.0801787282954641, -0.25331179663694936, 0.17616697182864738,
-      -0.03503938908504592,
-    ],
-    [
-      0.0801787282954641, -0.23145605182334034, -0.1636641437909489,
-      0.1267737006547282,
-    ],
-    [
-      0.0801787282954641, -0.23145605182334034, -0.027957173403284113,
-      -0.20512415653895505,
-    ],
-    [
-      0.0801787282954641, -0.23145605182334034, 0.19162131719423303,
-      0.07835045588422684,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, -0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, -0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, -0.19934848987702586,
-      -0.1350453783688632,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, -0.13865848771555195,
-      -0.1968524788248201,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, -0.10115000360245649,
-      0.21850801222441052,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, -0.017278483392604155,
-      0.240163545624001,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, 0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, 0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, 0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, 0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, 0.21662697326962999,
-      -0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, -0.19609271386547678, 0.2398084913180084,
-      -0.021655533399590463,
-    ],
-    [
-      0.0801787282954641, -0.16072937590761316, -0.24935980202781977,
-      0.09173431156968231,
-    ],
-    [
-      0.0801787282954641, -0.16072937590761316, -0.15116131575325042,
-      0.21850801222441052,
-    ],
-    [
-      0.0801787282954641, -0.16072937590761316, -0.11365283164015497,
-      -0.240163545624001,
-    ],
-    [
-      0.0801787282954641, -0.16072937590761316, 0.04523565679588827,
-      -0.26181907902359147,
-    ],
-    [
-      0.0801787282954641, -0.16072937590761316, 0.2041241452319315,
-      0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, -0.16072937590761316, 0.26481414739340536,
-      0.021655533399590463,
-    ],
-    [
-      0.0801787282954641, -0.1388736310940042, -0.2570869747106126,
-      -0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, -0.1388736310940042, -0.21957849059751716,
-      0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, -0.1388736310940042, -0.03750848411309545,
-      -0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, -0.1388736310940042, 0.03750848411309545,
-      0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, -0.1388736310940042, 0.21957849059751716,
-      -0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, -0.1388736310940042, 0.2570869747106126,
-      0.10511816725513776,
-    ],
-    [0.0801787282954641, -0.10351029313614063, -0.29277132079668955, 0.0],
-    [
-      0.0801787282954641, -0.10351029313614063, -0.20889980058683716,
-      -0.20512415653895505,
-    ],
-    [
-      0.0801787282954641, -0.10351029313614063, -0.07319283019917239,
-      0.28347461242318195,
-    ],
-    [
-      0.0801787282954641, -0.10351029313614063, 0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      0.0801787282954641, -0.10351029313614063, 0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      0.0801787282954641, -0.10351029313614063, 0.28209263078600955,
-      -0.07835045588422684,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, -0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, 0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, 0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, -0.08165454832253163, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, -0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, -0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, -0.26481414739340536,
-      -0.16181308973977415,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, -0.16661566111883608,
-      -0.26181907902359147,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, -0.1434341430704576,
-      0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, -0.0077271726827928145,
-      0.3102423237940929,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, 0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, 0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, 0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, 0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, 0.27254132007619825,
-      -0.14842923405431868,
-    ],
-    [
-      0.0801787282954641, -0.010927872406804491, 0.3100498041892936,
-      -0.013383855685455463,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, -0.3100498041892936,
-      0.013383855685455463,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, -0.27254132007619825,
-      0.14842923405431868,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, -0.21185131791472434,
-      -0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, -0.21185131791472434,
-      0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, -0.09047131359177654,
-      -0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, -0.09047131359177654,
-      0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, 0.0077271726827928145,
-      -0.3102423237940929,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, 0.1434341430704576,
-      -0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, 0.16661566111883608,
-      0.26181907902359147,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, 0.26481414739340536,
-      0.16181308973977415,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, 0.30232263150650085,
-      -0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, 0.010927872406804491, 0.30232263150650085,
-      0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, -0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, -0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, 0.08165454832253163, 0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, 0.10351029313614063, -0.28209263078600955,
-      0.07835045588422684,
-    ],
-    [
-      0.0801787282954641, 0.10351029313614063, -0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      0.0801787282954641, 0.10351029313614063, -0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      0.0801787282954641, 0.10351029313614063, 0.07319283019917239,
-      -0.28347461242318195,
-    ],
-    [
-      0.0801787282954641, 0.10351029313614063, 0.20889980058683716,
-      0.20512415653895505,
-    ],
-    [0.0801787282954641, 0.10351029313614063, 0.29277132079668955, 0.0],
-    [
-      0.0801787282954641, 0.1388736310940042, -0.2570869747106126,
-      -0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, 0.1388736310940042, -0.21957849059751716,
-      0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, 0.1388736310940042, -0.03750848411309545,
-      -0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, 0.1388736310940042, 0.03750848411309545,
-      0.2752029347090469,
-    ],
-    [
-      0.0801787282954641, 0.1388736310940042, 0.21957849059751716,
-      -0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, 0.1388736310940042, 0.2570869747106126,
-      0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, 0.16072937590761316, -0.26481414739340536,
-      -0.021655533399590463,
-    ],
-    [
-      0.0801787282954641, 0.16072937590761316, -0.2041241452319315,
-      -0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, 0.16072937590761316, -0.04523565679588827,
-      0.26181907902359147,
-    ],
-    [
-      0.0801787282954641, 0.16072937590761316, 0.11365283164015497,
-      0.240163545624001,
-    ],
-    [
-      0.0801787282954641, 0.16072937590761316, 0.15116131575325042,
-      -0.21850801222441052,
-    ],
-    [
-      0.0801787282954641, 0.16072937590761316, 0.24935980202781977,
-      -0.09173431156968231,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, -0.2398084913180084,
-      0.021655533399590463,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, -0.21662697326962999,
-      0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, -0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, -0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, -0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, -0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, 0.017278483392604155,
-      -0.240163545624001,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, 0.10115000360245649,
-      -0.21850801222441052,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, 0.13865848771555195,
-      0.1968524788248201,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, 0.19934848987702586,
-      0.1350453783688632,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, 0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, 0.19609271386547678, 0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, 0.23145605182334034, -0.19162131719423303,
-      -0.07835045588422684,
-    ],
-    [
-      0.0801787282954641, 0.23145605182334034, 0.027957173403284113,
-      0.20512415653895505,
-    ],
-    [
-      0.0801787282954641, 0.23145605182334034, 0.1636641437909489,
-      -0.1267737006547282,
-    ],
-    [
-      0.0801787282954641, 0.25331179663694936, -0.17616697182864738,
-      0.03503938908504592,
-    ],
-    [
-      0.0801787282954641, 0.25331179663694936, -0.10115000360245649,
-      -0.14842923405431868,
-    ],
-    [
-      0.0801787282954641, 0.25331179663694936, -0.07796848555407804,
-      0.16181308973977415,
-    ],
-    [
-      0.0801787282954641, 0.25331179663694936, 0.05773848483358675,
-      -0.17008476745390916,
-    ],
-    [
-      0.0801787282954641, 0.25331179663694936, 0.11842848699506064,
-      0.1350453783688632,
-    ],
-    [
-      0.0801787282954641, 0.25331179663694936, 0.17911848915653455,
-      -0.013383855685455463,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, -0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, -0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.0801787282954641, 0.28867513459481287, 0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [0.0801787282954641, 0.31053087940842183, 0.0, 0.0],
-    [
-      0.09910635852267949, -0.29960300700161735, -0.052962829478681084,
-      -0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, -0.29960300700161735, 0.0077271726827928145,
-      0.05669492248463638,
-    ],
-    [
-      0.09910635852267949, -0.29960300700161735, 0.04523565679588827,
-      -0.03503938908504592,
-    ],
-    [
-      0.09910635852267949, -0.24238392423014482, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.09910635852267949, -0.24238392423014482, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      0.09910635852267949, -0.24238392423014482, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      0.09910635852267949, -0.24238392423014482, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.09910635852267949, -0.24238392423014482, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.09910635852267949, -0.24238392423014482, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, -0.18516484145867224, -0.19162131719423303,
-      0.14842923405431868,
-    ],
-    [
-      0.09910635852267949, -0.18516484145867224, -0.03273282875818978,
-      -0.240163545624001,
-    ],
-    [
-      0.09910635852267949, -0.18516484145867224, 0.2243541459524228,
-      0.09173431156968231,
-    ],
-    [
-      0.09910635852267949, -0.14980150350080867, -0.26481414739340536,
-      -0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, -0.14980150350080867, -0.2041241452319315,
-      -0.17008476745390916,
-    ],
-    [
-      0.09910635852267949, -0.14980150350080867, -0.04523565679588827,
-      0.26181907902359147,
-    ],
-    [
-      0.09910635852267949, -0.14980150350080867, 0.11365283164015497,
-      0.240163545624001,
-    ],
-    [
-      0.09910635852267949, -0.14980150350080867, 0.15116131575325042,
-      -0.21850801222441052,
-    ],
-    [
-      0.09910635852267949, -0.14980150350080867, 0.24935980202781977,
-      -0.09173431156968231,
-    ],
-    [
-      0.09910635852267949, -0.09258242072933612, -0.28504414811389667,
-      0.05669492248463638,
-    ],
-    [
-      0.09910635852267949, -0.09258242072933612, -0.1636641437909489,
-      -0.240163545624001,
-    ],
-    [
-      0.09910635852267949, -0.09258242072933612, -0.12615565967785347,
-      0.26181907902359147,
-    ],
-    [
-      0.09910635852267949, -0.09258242072933612, 0.09342283091966369,
-      -0.2752029347090469,
-    ],
-    [
-      0.09910635852267949, -0.09258242072933612, 0.19162131719423303,
-      0.21850801222441052,
-    ],
-    [
-      0.09910635852267949, -0.09258242072933612, 0.2898198034688023,
-      -0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, -0.05721908277147256, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      0.09910635852267949, -0.05721908277147256, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.09910635852267949, -0.05721908277147256, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.09910635852267949, -0.05721908277147256, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      0.09910635852267949, -0.05721908277147256, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      0.09910635852267949, -0.05721908277147256, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.09910635852267949, 0.05721908277147256, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.09910635852267949, 0.05721908277147256, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      0.09910635852267949, 0.05721908277147256, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      0.09910635852267949, 0.05721908277147256, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.09910635852267949, 0.05721908277147256, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.09910635852267949, 0.05721908277147256, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      0.09910635852267949, 0.09258242072933612, -0.2898198034688023,
-      0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, 0.09258242072933612, -0.19162131719423303,
-      -0.21850801222441052,
-    ],
-    [
-      0.09910635852267949, 0.09258242072933612, -0.09342283091966369,
-      0.2752029347090469,
-    ],
-    [
-      0.09910635852267949, 0.09258242072933612, 0.12615565967785347,
-      -0.26181907902359147,
-    ],
-    [
-      0.09910635852267949, 0.09258242072933612, 0.1636641437909489,
-      0.240163545624001,
-    ],
-    [
-      0.09910635852267949, 0.09258242072933612, 0.28504414811389667,
-      -0.05669492248463638,
-    ],
-    [
-      0.09910635852267949, 0.14980150350080867, -0.24935980202781977,
-      0.09173431156968231,
-    ],
-    [
-      0.09910635852267949, 0.14980150350080867, -0.15116131575325042,
-      0.21850801222441052,
-    ],
-    [
-      0.09910635852267949, 0.14980150350080867, -0.11365283164015497,
-      -0.240163545624001,
-    ],
-    [
-      0.09910635852267949, 0.14980150350080867, 0.04523565679588827,
-      -0.26181907902359147,
-    ],
-    [
-      0.09910635852267949, 0.14980150350080867, 0.2041241452319315,
-      0.17008476745390916,
-    ],
-    [
-      0.09910635852267949, 0.14980150350080867, 0.26481414739340536,
-      0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, 0.18516484145867224, -0.2243541459524228,
-      -0.09173431156968231,
-    ],
-    [
-      0.09910635852267949, 0.18516484145867224, 0.03273282875818978,
-      0.240163545624001,
-    ],
-    [
-      0.09910635852267949, 0.18516484145867224, 0.19162131719423303,
-      -0.14842923405431868,
-    ],
-    [
-      0.09910635852267949, 0.24238392423014482, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      0.09910635852267949, 0.24238392423014482, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.09910635852267949, 0.24238392423014482, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.09910635852267949, 0.24238392423014482, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      0.09910635852267949, 0.24238392423014482, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      0.09910635852267949, 0.24238392423014482, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.09910635852267949, 0.29960300700161735, -0.04523565679588827,
-      0.03503938908504592,
-    ],
-    [
-      0.09910635852267949, 0.29960300700161735, -0.0077271726827928145,
-      -0.05669492248463638,
-    ],
-    [
-      0.09910635852267949, 0.29960300700161735, 0.052962829478681084,
-      0.021655533399590463,
-    ],
-    [0.11080427732958847, -0.2709934656158811, -0.13093131503275912, 0.0],
-    [
-      0.11080427732958847, -0.2709934656158811, -0.09342283091966369,
-      -0.09173431156968231,
-    ],
-    [
-      0.11080427732958847, -0.2709934656158811, -0.03273282875818978,
-      0.1267737006547282,
-    ],
-    [
-      0.11080427732958847, -0.2709934656158811, 0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, -0.2709934656158811, 0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, -0.2709934656158811, 0.12615565967785347,
-      -0.03503938908504592,
-    ],
-    [0.11080427732958847, -0.21377438284440853, -0.21185131791472434, 0.0],
-    [
-      0.11080427732958847, -0.21377438284440853, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      0.11080427732958847, -0.21377438284440853, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      0.11080427732958847, -0.21377438284440853, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, -0.21377438284440853, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, -0.21377438284440853, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      0.11080427732958847, -0.17841104488654497, -0.2243541459524228,
-      -0.09173431156968231,
-    ],
-    [
-      0.11080427732958847, -0.17841104488654497, 0.03273282875818978,
-      0.240163545624001,
-    ],
-    [
-      0.11080427732958847, -0.17841104488654497, 0.19162131719423303,
-      -0.14842923405431868,
-    ],
-    [
-      0.11080427732958847, -0.12119196211507241, -0.24458414667291412,
-      0.1267737006547282,
-    ],
-    [
-      0.11080427732958847, -0.12119196211507241, -0.1838941445114402,
-      0.20512415653895505,
-    ],
-    [
-      0.11080427732958847, -0.12119196211507241, -0.08569565823687086,
-      -0.26181907902359147,
-    ],
-    [
-      0.11080427732958847, -0.12119196211507241, 0.012502828037698484,
-      -0.2752029347090469,
-    ],
-    [
-      0.11080427732958847, -0.12119196211507241, 0.23208131863521564,
-      0.14842923405431868,
-    ],
-    [
-      0.11080427732958847, -0.12119196211507241, 0.2695898027483111,
-      0.05669492248463638,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, -0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, -0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, -0.17911848915653455,
-      0.240163545624001,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, -0.11842848699506064,
-      -0.2752029347090469,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, 0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, 0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, 0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, 0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, -0.02860954138573628, 0.2975469761515952,
-      0.03503938908504592,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, -0.2975469761515952,
-      -0.03503938908504592,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, -0.2368569739901213,
-      -0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, -0.2368569739901213,
-      0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, -0.04046000144098259,
-      -0.29685846810863736,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, -0.04046000144098259,
-      0.29685846810863736,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, 0.11842848699506064,
-      0.2752029347090469,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, 0.17911848915653455,
-      -0.240163545624001,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, 0.2773169754311039,
-      -0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, 0.02860954138573628, 0.2773169754311039,
-      0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, 0.12119196211507241, -0.2695898027483111,
-      -0.05669492248463638,
-    ],
-    [
-      0.11080427732958847, 0.12119196211507241, -0.23208131863521564,
-      -0.14842923405431868,
-    ],
-    [
-      0.11080427732958847, 0.12119196211507241, -0.012502828037698484,
-      0.2752029347090469,
-    ],
-    [
-      0.11080427732958847, 0.12119196211507241, 0.08569565823687086,
-      0.26181907902359147,
-    ],
-    [
-      0.11080427732958847, 0.12119196211507241, 0.1838941445114402,
-      -0.20512415653895505,
-    ],
-    [
-      0.11080427732958847, 0.12119196211507241, 0.24458414667291412,
-      -0.1267737006547282,
-    ],
-    [
-      0.11080427732958847, 0.17841104488654497, -0.19162131719423303,
-      0.14842923405431868,
-    ],
-    [
-      0.11080427732958847, 0.17841104488654497, -0.03273282875818978,
-      -0.240163545624001,
-    ],
-    [
-      0.11080427732958847, 0.17841104488654497, 0.2243541459524228,
-      0.09173431156968231,
-    ],
-    [
-      0.11080427732958847, 0.21377438284440853, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      0.11080427732958847, 0.21377438284440853, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, 0.21377438284440853, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.11080427732958847, 0.21377438284440853, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      0.11080427732958847, 0.21377438284440853, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [0.11080427732958847, 0.21377438284440853, 0.21185131791472434, 0.0],
-    [
-      0.11080427732958847, 0.2709934656158811, -0.12615565967785347,
-      0.03503938908504592,
-    ],
-    [
-      0.11080427732958847, 0.2709934656158811, -0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, 0.2709934656158811, -0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      0.11080427732958847, 0.2709934656158811, 0.03273282875818978,
-      -0.1267737006547282,
-    ],
-    [
-      0.11080427732958847, 0.2709934656158811, 0.09342283091966369,
-      0.09173431156968231,
-    ],
-    [0.11080427732958847, 0.2709934656158811, 0.13093131503275912, 0.0],
-    [
-      0.12973190755680386, -0.2819213380226856, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      0.12973190755680386, -0.2819213380226856, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, -0.2819213380226856, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, -0.2819213380226856, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, -0.2819213380226856, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [0.12973190755680386, -0.2819213380226856, 0.08092000288196519, 0.0],
-    [
-      0.12973190755680386, -0.26006559320907663, -0.12320414234996632,
-      0.05669492248463638,
-    ],
-    [
-      0.12973190755680386, -0.26006559320907663, -0.08569565823687086,
-      0.10511816725513776,
-    ],
-    [
-      0.12973190755680386, -0.26006559320907663, -0.048187174123775406,
-      -0.1267737006547282,
-    ],
-    [
-      0.12973190755680386, -0.26006559320907663, 0.012502828037698484,
-      -0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, -0.26006559320907663, 0.11070131431226783,
-      0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, -0.26006559320907663, 0.1338828323606463,
-      0.021655533399590463,
-    ],
-    [
-      0.12973190755680386, -0.20284651043760404, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      0.12973190755680386, -0.20284651043760404, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, -0.20284651043760404, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, -0.20284651043760404, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      0.12973190755680386, -0.20284651043760404, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [0.12973190755680386, -0.20284651043760404, 0.21185131791472434, 0.0],
-    [
-      0.12973190755680386, -0.16748317247974048, -0.2398084913180084,
-      0.021655533399590463,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, -0.21662697326962999,
-      0.10511816725513776,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, -0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, -0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, -0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, -0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, 0.017278483392604155,
-      -0.240163545624001,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, 0.10115000360245649,
-      -0.21850801222441052,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, 0.13865848771555195,
-      0.1968524788248201,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, 0.19934848987702586,
-      0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, 0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      0.12973190755680386, -0.16748317247974048, 0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, -0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, -0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, -0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, 0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, 0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, -0.13211983452187692, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [0.12973190755680386, -0.13211983452187692, 0.26186263006551824, 0.0],
-    [
-      0.12973190755680386, -0.07490075175040434, -0.27254132007619825,
-      -0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, -0.07490075175040434, -0.24935980202781977,
-      -0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, -0.07490075175040434, 0.0077271726827928145,
-      0.28347461242318195,
-    ],
-    [
-      0.12973190755680386, -0.07490075175040434, 0.06841717484426671,
-      0.2752029347090469,
-    ],
-    [
-      0.12973190755680386, -0.07490075175040434, 0.2041241452319315,
-      -0.1968524788248201,
-    ],
-    [
-      0.12973190755680386, -0.07490075175040434, 0.24163262934502694,
-      -0.14842923405431868,
-    ],
-    [
-      0.12973190755680386, -0.039537413792540776, -0.28504414811389667,
-      0.05669492248463638,
-    ],
-    [
-      0.12973190755680386, -0.039537413792540776, -0.1636641437909489,
-      -0.240163545624001,
-    ],
-    [
-      0.12973190755680386, -0.039537413792540776, -0.12615565967785347,
-      0.26181907902359147,
-    ],
-    [
-      0.12973190755680386, -0.039537413792540776, 0.09342283091966369,
-      -0.2752029347090469,
-    ],
-    [
-      0.12973190755680386, -0.039537413792540776, 0.19162131719423303,
-      0.21850801222441052,
-    ],
-    [
-      0.12973190755680386, -0.039537413792540776, 0.2898198034688023,
-      -0.021655533399590463,
-    ],
-    [0.12973190755680386, -0.017681668978931787, -0.29277132079668955, 0.0],
-    [
-      0.12973190755680386, -0.017681668978931787, -0.20889980058683716,
-      -0.20512415653895505,
-    ],
-    [
-      0.12973190755680386, -0.017681668978931787, -0.07319283019917239,
-      0.28347461242318195,
-    ],
-    [
-      0.12973190755680386, -0.017681668978931787, 0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, -0.017681668978931787, 0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, -0.017681668978931787, 0.28209263078600955,
-      -0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, 0.017681668978931787, -0.28209263078600955,
-      0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, 0.017681668978931787, -0.14638566039834477,
-      -0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, 0.017681668978931787, -0.14638566039834477,
-      0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, 0.017681668978931787, 0.07319283019917239,
-      -0.28347461242318195,
-    ],
-    [
-      0.12973190755680386, 0.017681668978931787, 0.20889980058683716,
-      0.20512415653895505,
-    ],
-    [0.12973190755680386, 0.017681668978931787, 0.29277132079668955, 0.0],
-    [
-      0.12973190755680386, 0.039537413792540776, -0.2898198034688023,
-      0.021655533399590463,
-    ],
-    [
-      0.12973190755680386, 0.039537413792540776, -0.19162131719423303,
-      -0.21850801222441052,
-    ],
-    [
-      0.12973190755680386, 0.039537413792540776, -0.09342283091966369,
-      0.2752029347090469,
-    ],
-    [
-      0.12973190755680386, 0.039537413792540776, 0.12615565967785347,
-      -0.26181907902359147,
-    ],
-    [
-      0.12973190755680386, 0.039537413792540776, 0.1636641437909489,
-      0.240163545624001,
-    ],
-    [
-      0.12973190755680386, 0.039537413792540776, 0.28504414811389667,
-      -0.05669492248463638,
-    ],
-    [
-      0.12973190755680386, 0.07490075175040434, -0.24163262934502694,
-      0.14842923405431868,
-    ],
-    [
-      0.12973190755680386, 0.07490075175040434, -0.2041241452319315,
-      0.1968524788248201,
-    ],
-    [
-      0.12973190755680386, 0.07490075175040434, -0.06841717484426671,
-      -0.2752029347090469,
-    ],
-    [
-      0.12973190755680386, 0.07490075175040434, -0.0077271726827928145,
-      -0.28347461242318195,
-    ],
-    [
-      0.12973190755680386, 0.07490075175040434, 0.24935980202781977,
-      0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, 0.07490075175040434, 0.27254132007619825,
-      0.07835045588422684,
-    ],
-    [0.12973190755680386, 0.13211983452187692, -0.26186263006551824, 0.0],
-    [
-      0.12973190755680386, 0.13211983452187692, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, -0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, -0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, 0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, 0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, 0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, 0.13211983452187692, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, -0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, -0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, -0.19934848987702586,
-      -0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, -0.13865848771555195,
-      -0.1968524788248201,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, -0.10115000360245649,
-      0.21850801222441052,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, -0.017278483392604155,
-      0.240163545624001,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, 0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, 0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, 0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, 0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, 0.21662697326962999,
-      -0.10511816725513776,
-    ],
-    [
-      0.12973190755680386, 0.16748317247974048, 0.2398084913180084,
-      -0.021655533399590463,
-    ],
-    [0.12973190755680386, 0.20284651043760404, -0.21185131791472434, 0.0],
-    [
-      0.12973190755680386, 0.20284651043760404, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      0.12973190755680386, 0.20284651043760404, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      0.12973190755680386, 0.20284651043760404, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, 0.20284651043760404, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.12973190755680386, 0.20284651043760404, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      0.12973190755680386, 0.26006559320907663, -0.1338828323606463,
-      -0.021655533399590463,
-    ],
-    [
-      0.12973190755680386, 0.26006559320907663, -0.11070131431226783,
-      -0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, 0.26006559320907663, -0.012502828037698484,
-      0.1350453783688632,
-    ],
-    [
-      0.12973190755680386, 0.26006559320907663, 0.048187174123775406,
-      0.1267737006547282,
-    ],
-    [
-      0.12973190755680386, 0.26006559320907663, 0.08569565823687086,
-      -0.10511816725513776,
-    ],
-    [
-      0.12973190755680386, 0.26006559320907663, 0.12320414234996632,
-      -0.05669492248463638,
-    ],
-    [0.12973190755680386, 0.2819213380226856, -0.08092000288196519, 0.0],
-    [
-      0.12973190755680386, 0.2819213380226856, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      0.12973190755680386, 0.2819213380226856, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      0.12973190755680386, 0.2819213380226856, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, 0.2819213380226856, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.12973190755680386, 0.2819213380226856, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      0.1603574565909282, -0.24238392423014482, -0.1338828323606463,
-      -0.021655533399590463,
-    ],
-    [
-      0.1603574565909282, -0.24238392423014482, -0.11070131431226783,
-      -0.07835045588422684,
-    ],
-    [
-      0.1603574565909282, -0.24238392423014482, -0.012502828037698484,
-      0.1350453783688632,
-    ],
-    [
-      0.1603574565909282, -0.24238392423014482, 0.048187174123775406,
-      0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, -0.24238392423014482, 0.08569565823687086,
-      -0.10511816725513776,
-    ],
-    [
-      0.1603574565909282, -0.24238392423014482, 0.12320414234996632,
-      -0.05669492248463638,
-    ],
-    [
-      0.1603574565909282, -0.20702058627228126, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      0.1603574565909282, -0.20702058627228126, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.1603574565909282, -0.20702058627228126, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.1603574565909282, -0.20702058627228126, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      0.1603574565909282, -0.20702058627228126, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      0.1603574565909282, -0.20702058627228126, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.1603574565909282, -0.18516484145867224, -0.19162131719423303,
-      -0.07835045588422684,
-    ],
-    [
-      0.1603574565909282, -0.18516484145867224, 0.027957173403284113,
-      0.20512415653895505,
-    ],
-    [
-      0.1603574565909282, -0.18516484145867224, 0.1636641437909489,
-      -0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, -0.09258242072933612, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      0.1603574565909282, -0.09258242072933612, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.1603574565909282, -0.09258242072933612, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.1603574565909282, -0.09258242072933612, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      0.1603574565909282, -0.09258242072933612, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, -0.09258242072933612, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.1603574565909282, -0.035363337957863575, -0.24458414667291412,
-      0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, -0.035363337957863575, -0.1838941445114402,
-      0.20512415653895505,
-    ],
-    [
-      0.1603574565909282, -0.035363337957863575, -0.08569565823687086,
-      -0.26181907902359147,
-    ],
-    [
-      0.1603574565909282, -0.035363337957863575, 0.012502828037698484,
-      -0.2752029347090469,
-    ],
-    [
-      0.1603574565909282, -0.035363337957863575, 0.23208131863521564,
-      0.14842923405431868,
-    ],
-    [
-      0.1603574565909282, -0.035363337957863575, 0.2695898027483111,
-      0.05669492248463638,
-    ],
-    [0.1603574565909282, 0.0, -0.2570869747106126, -0.10511816725513776],
-    [0.1603574565909282, 0.0, -0.21957849059751716, 0.17008476745390916],
-    [0.1603574565909282, 0.0, -0.03750848411309545, -0.2752029347090469],
-    [0.1603574565909282, 0.0, 0.03750848411309545, 0.2752029347090469],
-    [0.1603574565909282, 0.0, 0.21957849059751716, -0.17008476745390916],
-    [0.1603574565909282, 0.0, 0.2570869747106126, 0.10511816725513776],
-    [
-      0.1603574565909282, 0.035363337957863575, -0.2695898027483111,
-      -0.05669492248463638,
-    ],
-    [
-      0.1603574565909282, 0.035363337957863575, -0.23208131863521564,
-      -0.14842923405431868,
-    ],
-    [
-      0.1603574565909282, 0.035363337957863575, -0.012502828037698484,
-      0.2752029347090469,
-    ],
-    [
-      0.1603574565909282, 0.035363337957863575, 0.08569565823687086,
-      0.26181907902359147,
-    ],
-    [
-      0.1603574565909282, 0.035363337957863575, 0.1838941445114402,
-      -0.20512415653895505,
-    ],
-    [
-      0.1603574565909282, 0.035363337957863575, 0.24458414667291412,
-      -0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, 0.09258242072933612, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.1603574565909282, 0.09258242072933612, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, 0.09258242072933612, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      0.1603574565909282, 0.09258242072933612, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.1603574565909282, 0.09258242072933612, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.1603574565909282, 0.09258242072933612, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [
-      0.1603574565909282, 0.18516484145867224, -0.1636641437909489,
-      0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, 0.18516484145867224, -0.027957173403284113,
-      -0.20512415653895505,
-    ],
-    [
-      0.1603574565909282, 0.18516484145867224, 0.19162131719423303,
-      0.07835045588422684,
-    ],
-    [
-      0.1603574565909282, 0.20702058627228126, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.1603574565909282, 0.20702058627228126, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      0.1603574565909282, 0.20702058627228126, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      0.1603574565909282, 0.20702058627228126, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.1603574565909282, 0.20702058627228126, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.1603574565909282, 0.20702058627228126, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      0.1603574565909282, 0.24238392423014482, -0.12320414234996632,
-      0.05669492248463638,
-    ],
-    [
-      0.1603574565909282, 0.24238392423014482, -0.08569565823687086,
-      0.10511816725513776,
-    ],
-    [
-      0.1603574565909282, 0.24238392423014482, -0.048187174123775406,
-      -0.1267737006547282,
-    ],
-    [
-      0.1603574565909282, 0.24238392423014482, 0.012502828037698484,
-      -0.1350453783688632,
-    ],
-    [
-      0.1603574565909282, 0.24238392423014482, 0.11070131431226783,
-      0.07835045588422684,
-    ],
-    [
-      0.1603574565909282, 0.24238392423014482, 0.1338828323606463,
-      0.021655533399590463,
-    ],
-    [0.1792850868181436, -0.25331179663694936, -0.08092000288196519, 0.0],
-    [
-      0.1792850868181436, -0.25331179663694936, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, -0.25331179663694936, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      0.1792850868181436, -0.25331179663694936, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, -0.25331179663694936, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, -0.25331179663694936, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      0.1792850868181436, -0.23145605182334034, -0.12615565967785347,
-      0.03503938908504592,
-    ],
-    [
-      0.1792850868181436, -0.23145605182334034, -0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, -0.23145605182334034, -0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, -0.23145605182334034, 0.03273282875818978,
-      -0.1267737006547282,
-    ],
-    [
-      0.1792850868181436, -0.23145605182334034, 0.09342283091966369,
-      0.09173431156968231,
-    ],
-    [0.1792850868181436, -0.23145605182334034, 0.13093131503275912, 0.0],
-    [
-      0.1792850868181436, -0.19609271386547678, -0.17616697182864738,
-      0.03503938908504592,
-    ],
-    [
-      0.1792850868181436, -0.19609271386547678, -0.10115000360245649,
-      -0.14842923405431868,
-    ],
-    [
-      0.1792850868181436, -0.19609271386547678, -0.07796848555407804,
-      0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, -0.19609271386547678, 0.05773848483358675,
-      -0.17008476745390916,
-    ],
-    [
-      0.1792850868181436, -0.19609271386547678, 0.11842848699506064,
-      0.1350453783688632,
-    ],
-    [
-      0.1792850868181436, -0.19609271386547678, 0.17911848915653455,
-      -0.013383855685455463,
-    ],
-    [0.1792850868181436, -0.16072937590761316, -0.21185131791472434, 0.0],
-    [
-      0.1792850868181436, -0.16072937590761316, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      0.1792850868181436, -0.16072937590761316, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      0.1792850868181436, -0.16072937590761316, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, -0.16072937590761316, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, -0.16072937590761316, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [0.1792850868181436, -0.1388736310940042, 0.0, -0.22677968993854553],
-    [0.1792850868181436, -0.1388736310940042, 0.0, 0.22677968993854553],
-    [
-      0.1792850868181436, -0.1388736310940042, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, -0.1388736310940042, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, -0.10351029313614063, -0.23208131863521564,
-      0.07835045588422684,
-    ],
-    [
-      0.1792850868181436, -0.10351029313614063, -0.1338828323606463,
-      0.20512415653895505,
-    ],
-    [
-      0.1792850868181436, -0.10351029313614063, -0.11070131431226783,
-      -0.21850801222441052,
-    ],
-    [
-      0.1792850868181436, -0.10351029313614063, 0.048187174123775406,
-      -0.240163545624001,
-    ],
-    [
-      0.1792850868181436, -0.10351029313614063, 0.1838941445114402,
-      0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, -0.10351029313614063, 0.24458414667291412,
-      0.013383855685455463,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, -0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, -0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, -0.22912980130732846,
-      -0.1267737006547282,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, -0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, -0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, 0.004775655354905669,
-      0.26181907902359147,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, 0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, 0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, 0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, 0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, -0.04629121036466806, 0.2243541459524228,
-      -0.1350453783688632,
-    ],
-    [0.1792850868181436, -0.04629121036466806, 0.26186263006551824, 0.0],
-    [
-      0.1792850868181436, -0.010927872406804491, -0.26481414739340536,
-      -0.021655533399590463,
-    ],
-    [
-      0.1792850868181436, -0.010927872406804491, -0.2041241452319315,
-      -0.17008476745390916,
-    ],
-    [
-      0.1792850868181436, -0.010927872406804491, -0.04523565679588827,
-      0.26181907902359147,
-    ],
-    [
-      0.1792850868181436, -0.010927872406804491, 0.11365283164015497,
-      0.240163545624001,
-    ],
-    [
-      0.1792850868181436, -0.010927872406804491, 0.15116131575325042,
-      -0.21850801222441052,
-    ],
-    [
-      0.1792850868181436, -0.010927872406804491, 0.24935980202781977,
-      -0.09173431156968231,
-    ],
-    [
-      0.1792850868181436, 0.010927872406804491, -0.24935980202781977,
-      0.09173431156968231,
-    ],
-    [
-      0.1792850868181436, 0.010927872406804491, -0.15116131575325042,
-      0.21850801222441052,
-    ],
-    [
-      0.1792850868181436, 0.010927872406804491, -0.11365283164015497,
-      -0.240163545624001,
-    ],
-    [
-      0.1792850868181436, 0.010927872406804491, 0.04523565679588827,
-      -0.26181907902359147,
-    ],
-    [
-      0.1792850868181436, 0.010927872406804491, 0.2041241452319315,
-      0.17008476745390916,
-    ],
-    [
-      0.1792850868181436, 0.010927872406804491, 0.26481414739340536,
-      0.021655533399590463,
-    ],
-    [0.1792850868181436, 0.04629121036466806, -0.26186263006551824, 0.0],
-    [
-      0.1792850868181436, 0.04629121036466806, -0.2243541459524228,
-      0.1350453783688632,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, -0.18684566183932738,
-      -0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, -0.18684566183932738,
-      0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, -0.06546565751637956,
-      -0.2535474013094564,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, -0.06546565751637956,
-      0.2535474013094564,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, -0.004775655354905669,
-      -0.26181907902359147,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, 0.13093131503275912,
-      -0.22677968993854553,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, 0.13093131503275912,
-      0.22677968993854553,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, 0.22912980130732846,
-      0.1267737006547282,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, 0.25231131935570694,
-      -0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, 0.04629121036466806, 0.25231131935570694,
-      0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, 0.10351029313614063, -0.24458414667291412,
-      -0.013383855685455463,
-    ],
-    [
-      0.1792850868181436, 0.10351029313614063, -0.1838941445114402,
-      -0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, 0.10351029313614063, -0.048187174123775406,
-      0.240163545624001,
-    ],
-    [
-      0.1792850868181436, 0.10351029313614063, 0.11070131431226783,
-      0.21850801222441052,
-    ],
-    [
-      0.1792850868181436, 0.10351029313614063, 0.1338828323606463,
-      -0.20512415653895505,
-    ],
-    [
-      0.1792850868181436, 0.10351029313614063, 0.23208131863521564,
-      -0.07835045588422684,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [0.1792850868181436, 0.1388736310940042, 0.0, -0.22677968993854553],
-    [0.1792850868181436, 0.1388736310940042, 0.0, 0.22677968993854553],
-    [
-      0.1792850868181436, 0.1388736310940042, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, 0.1388736310940042, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, 0.16072937590761316, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      0.1792850868181436, 0.16072937590761316, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, 0.16072937590761316, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.1792850868181436, 0.16072937590761316, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      0.1792850868181436, 0.16072937590761316, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [0.1792850868181436, 0.16072937590761316, 0.21185131791472434, 0.0],
-    [
-      0.1792850868181436, 0.19609271386547678, -0.17911848915653455,
-      0.013383855685455463,
-    ],
-    [
-      0.1792850868181436, 0.19609271386547678, -0.11842848699506064,
-      -0.1350453783688632,
-    ],
-    [
-      0.1792850868181436, 0.19609271386547678, -0.05773848483358675,
-      0.17008476745390916,
-    ],
-    [
-      0.1792850868181436, 0.19609271386547678, 0.07796848555407804,
-      -0.16181308973977415,
-    ],
-    [
-      0.1792850868181436, 0.19609271386547678, 0.10115000360245649,
-      0.14842923405431868,
-    ],
-    [
-      0.1792850868181436, 0.19609271386547678, 0.17616697182864738,
-      -0.03503938908504592,
-    ],
-    [0.1792850868181436, 0.23145605182334034, -0.13093131503275912, 0.0],
-    [
-      0.1792850868181436, 0.23145605182334034, -0.09342283091966369,
-      -0.09173431156968231,
-    ],
-    [
-      0.1792850868181436, 0.23145605182334034, -0.03273282875818978,
-      0.1267737006547282,
-    ],
-    [
-      0.1792850868181436, 0.23145605182334034, 0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, 0.23145605182334034, 0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      0.1792850868181436, 0.23145605182334034, 0.12615565967785347,
-      -0.03503938908504592,
-    ],
-    [
-      0.1792850868181436, 0.25331179663694936, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      0.1792850868181436, 0.25331179663694936, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, 0.25331179663694936, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.1792850868181436, 0.25331179663694936, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      0.1792850868181436, 0.25331179663694936, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [0.1792850868181436, 0.25331179663694936, 0.08092000288196519, 0.0],
-    [
-      0.20991063585226793, -0.2356301276580175, -0.04523565679588827,
-      0.03503938908504592,
-    ],
-    [
-      0.20991063585226793, -0.2356301276580175, -0.0077271726827928145,
-      -0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, -0.2356301276580175, 0.052962829478681084,
-      0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, -0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, -0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, -0.21377438284440853, 0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, -0.17841104488654497, -0.1636641437909489,
-      -0.013383855685455463,
-    ],
-    [
-      0.20991063585226793, -0.17841104488654497, -0.12615565967785347,
-      -0.10511816725513776,
-    ],
-    [
-      0.20991063585226793, -0.17841104488654497, -0.027957173403284113,
-      0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, -0.17841104488654497, 0.07024131287128524,
-      0.14842923405431868,
-    ],
-    [
-      0.20991063585226793, -0.17841104488654497, 0.09342283091966369,
-      -0.1350453783688632,
-    ],
-    [
-      0.20991063585226793, -0.17841104488654497, 0.15411283308113757,
-      -0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, -0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, 0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, 0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.156555300072936, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, -0.12119196211507241, -0.20707566255981863,
-      0.03503938908504592,
-    ],
-    [
-      0.20991063585226793, -0.12119196211507241, -0.12320414234996632,
-      -0.17008476745390916,
-    ],
-    [
-      0.20991063585226793, -0.12119196211507241, -0.08569565823687086,
-      0.19174030085349963,
-    ],
-    [
-      0.20991063585226793, -0.12119196211507241, 0.07319283019917239,
-      -0.1968524788248201,
-    ],
-    [
-      0.20991063585226793, -0.12119196211507241, 0.1338828323606463,
-      0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, -0.12119196211507241, 0.20889980058683716,
-      -0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [0.20991063585226793, -0.08582862415720885, 0.0, -0.22677968993854553],
-    [0.20991063585226793, -0.08582862415720885, 0.0, 0.22677968993854553],
-    [
-      0.20991063585226793, -0.08582862415720885, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, -0.08582862415720885, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, -0.2398084913180084,
-      0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, -0.21662697326962999,
-      0.10511816725513776,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, -0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, -0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, -0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, -0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, 0.017278483392604155,
-      -0.240163545624001,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, 0.10115000360245649,
-      -0.21850801222441052,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, 0.13865848771555195,
-      0.1968524788248201,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, 0.19934848987702586,
-      0.1350453783688632,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, 0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, -0.02860954138573628, 0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, -0.006753796572127295, -0.2243541459524228,
-      -0.09173431156968231,
-    ],
-    [
-      0.20991063585226793, -0.006753796572127295, 0.03273282875818978,
-      0.240163545624001,
-    ],
-    [
-      0.20991063585226793, -0.006753796572127295, 0.19162131719423303,
-      -0.14842923405431868,
-    ],
-    [
-      0.20991063585226793, 0.006753796572127295, -0.19162131719423303,
-      0.14842923405431868,
-    ],
-    [
-      0.20991063585226793, 0.006753796572127295, -0.03273282875818978,
-      -0.240163545624001,
-    ],
-    [
-      0.20991063585226793, 0.006753796572127295, 0.2243541459524228,
-      0.09173431156968231,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, -0.2368569739901213,
-      -0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, -0.2368569739901213,
-      0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, -0.19934848987702586,
-      -0.1350453783688632,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, -0.13865848771555195,
-      -0.1968524788248201,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, -0.10115000360245649,
-      0.21850801222441052,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, -0.017278483392604155,
-      0.240163545624001,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, 0.08092000288196519,
-      -0.22677968993854553,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, 0.08092000288196519,
-      0.22677968993854553,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, 0.15593697110815607,
-      -0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, 0.15593697110815607,
-      0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, 0.21662697326962999,
-      -0.10511816725513776,
-    ],
-    [
-      0.20991063585226793, 0.02860954138573628, 0.2398084913180084,
-      -0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, -0.21957849059751716,
-      -0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, -0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, -0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, -0.15888848843604325,
-      0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, -0.0606900021614739,
-      -0.21850801222441052,
-    ],
-    [0.20991063585226793, 0.08582862415720885, 0.0, -0.22677968993854553],
-    [0.20991063585226793, 0.08582862415720885, 0.0, 0.22677968993854553],
-    [
-      0.20991063585226793, 0.08582862415720885, 0.0606900021614739,
-      0.21850801222441052,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, 0.15888848843604325,
-      -0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, 0.19639697254913868,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, 0.19639697254913868,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.08582862415720885, 0.21957849059751716,
-      0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, 0.12119196211507241, -0.20889980058683716,
-      0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, 0.12119196211507241, -0.1338828323606463,
-      -0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, 0.12119196211507241, -0.07319283019917239,
-      0.1968524788248201,
-    ],
-    [
-      0.20991063585226793, 0.12119196211507241, 0.08569565823687086,
-      -0.19174030085349963,
-    ],
-    [
-      0.20991063585226793, 0.12119196211507241, 0.12320414234996632,
-      0.17008476745390916,
-    ],
-    [
-      0.20991063585226793, 0.12119196211507241, 0.20707566255981863,
-      -0.03503938908504592,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, -0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, -0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, 0.156555300072936, 0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, 0.17841104488654497, -0.15411283308113757,
-      0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, 0.17841104488654497, -0.09342283091966369,
-      0.1350453783688632,
-    ],
-    [
-      0.20991063585226793, 0.17841104488654497, -0.07024131287128524,
-      -0.14842923405431868,
-    ],
-    [
-      0.20991063585226793, 0.17841104488654497, 0.027957173403284113,
-      -0.16181308973977415,
-    ],
-    [
-      0.20991063585226793, 0.17841104488654497, 0.12615565967785347,
-      0.10511816725513776,
-    ],
-    [
-      0.20991063585226793, 0.17841104488654497, 0.1636641437909489,
-      0.013383855685455463,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, -0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, 0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, 0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.20991063585226793, 0.21377438284440853, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [
-      0.20991063585226793, 0.2356301276580175, -0.052962829478681084,
-      -0.021655533399590463,
-    ],
-    [
-      0.20991063585226793, 0.2356301276580175, 0.0077271726827928145,
-      0.05669492248463638,
-    ],
-    [
-      0.20991063585226793, 0.2356301276580175, 0.04523565679588827,
-      -0.03503938908504592,
-    ],
-    [0.22883826607948332, -0.224702255251213, 0.0, 0.0],
-    [
-      0.22883826607948332, -0.16748317247974048, -0.11842848699506064,
-      0.09173431156968231,
-    ],
-    [
-      0.22883826607948332, -0.16748317247974048, -0.020230000720491297,
-      -0.14842923405431868,
-    ],
-    [
-      0.22883826607948332, -0.16748317247974048, 0.13865848771555195,
-      0.05669492248463638,
-    ],
-    [0.22883826607948332, -0.07490075175040434, -0.21185131791472434, 0.0],
-    [
-      0.22883826607948332, -0.07490075175040434, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      0.22883826607948332, -0.07490075175040434, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      0.22883826607948332, -0.07490075175040434, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.22883826607948332, -0.07490075175040434, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.22883826607948332, -0.07490075175040434, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      0.22883826607948332, 0.07490075175040434, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      0.22883826607948332, 0.07490075175040434, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.22883826607948332, 0.07490075175040434, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.22883826607948332, 0.07490075175040434, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      0.22883826607948332, 0.07490075175040434, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [0.22883826607948332, 0.07490075175040434, 0.21185131791472434, 0.0],
-    [
-      0.22883826607948332, 0.16748317247974048, -0.13865848771555195,
-      -0.05669492248463638,
-    ],
-    [
-      0.22883826607948332, 0.16748317247974048, 0.020230000720491297,
-      0.14842923405431868,
-    ],
-    [
-      0.22883826607948332, 0.16748317247974048, 0.11842848699506064,
-      -0.09173431156968231,
-    ],
-    [0.22883826607948332, 0.224702255251213, 0.0, 0.0],
-    [
-      0.24053618488639233, -0.19609271386547678, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      0.24053618488639233, -0.19609271386547678, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, -0.19609271386547678, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, -0.19609271386547678, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      0.24053618488639233, -0.19609271386547678, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [0.24053618488639233, -0.19609271386547678, 0.08092000288196519, 0.0],
-    [
-      0.24053618488639233, -0.1388736310940042, -0.15888848843604325,
-      0.021655533399590463,
-    ],
-    [
-      0.24053618488639233, -0.1388736310940042, -0.09819848627456934,
-      -0.1267737006547282,
-    ],
-    [
-      0.24053618488639233, -0.1388736310940042, -0.0606900021614739,
-      0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, -0.1388736310940042, 0.0606900021614739,
-      -0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, -0.1388736310940042, 0.09819848627456934,
-      0.1267737006547282,
-    ],
-    [
-      0.24053618488639233, -0.1388736310940042, 0.15888848843604325,
-      -0.021655533399590463,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, -0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, 0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, 0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.24053618488639233, -0.10351029313614063, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      0.24053618488639233, -0.04629121036466806, -0.19162131719423303,
-      -0.07835045588422684,
-    ],
-    [
-      0.24053618488639233, -0.04629121036466806, 0.027957173403284113,
-      0.20512415653895505,
-    ],
-    [
-      0.24053618488639233, -0.04629121036466806, 0.1636641437909489,
-      -0.1267737006547282,
-    ],
-    [
-      0.24053618488639233, -0.010927872406804491, -0.2041241452319315,
-      0.05669492248463638,
-    ],
-    [
-      0.24053618488639233, -0.010927872406804491, -0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, -0.010927872406804491, -0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, -0.010927872406804491, 0.052962829478681084,
-      -0.20512415653895505,
-    ],
-    [
-      0.24053618488639233, -0.010927872406804491, 0.15116131575325042,
-      0.14842923405431868,
-    ],
-    [0.24053618488639233, -0.010927872406804491, 0.21185131791472434, 0.0],
-    [0.24053618488639233, 0.010927872406804491, -0.21185131791472434, 0.0],
-    [
-      0.24053618488639233, 0.010927872406804491, -0.15116131575325042,
-      -0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, 0.010927872406804491, -0.052962829478681084,
-      0.20512415653895505,
-    ],
-    [
-      0.24053618488639233, 0.010927872406804491, 0.10592565895736217,
-      -0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, 0.010927872406804491, 0.10592565895736217,
-      0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, 0.010927872406804491, 0.2041241452319315,
-      -0.05669492248463638,
-    ],
-    [
-      0.24053618488639233, 0.04629121036466806, -0.1636641437909489,
-      0.1267737006547282,
-    ],
-    [
-      0.24053618488639233, 0.04629121036466806, -0.027957173403284113,
-      -0.20512415653895505,
-    ],
-    [
-      0.24053618488639233, 0.04629121036466806, 0.19162131719423303,
-      0.07835045588422684,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, -0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, -0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, 0.10351029313614063, 0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, 0.1388736310940042, -0.15888848843604325,
-      0.021655533399590463,
-    ],
-    [
-      0.24053618488639233, 0.1388736310940042, -0.09819848627456934,
-      -0.1267737006547282,
-    ],
-    [
-      0.24053618488639233, 0.1388736310940042, -0.0606900021614739,
-      0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, 0.1388736310940042, 0.0606900021614739,
-      -0.14842923405431868,
-    ],
-    [
-      0.24053618488639233, 0.1388736310940042, 0.09819848627456934,
-      0.1267737006547282,
-    ],
-    [
-      0.24053618488639233, 0.1388736310940042, 0.15888848843604325,
-      -0.021655533399590463,
-    ],
-    [0.24053618488639233, 0.19609271386547678, -0.08092000288196519, 0.0],
-    [
-      0.24053618488639233, 0.19609271386547678, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      0.24053618488639233, 0.19609271386547678, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      0.24053618488639233, 0.19609271386547678, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, 0.19609271386547678, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.24053618488639233, 0.19609271386547678, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      0.2594638151136077, -0.18516484145867224, -0.03273282875818978,
-      -0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, -0.18516484145867224, 0.004775655354905669,
-      0.03503938908504592,
-    ],
-    [
-      0.2594638151136077, -0.18516484145867224, 0.027957173403284113,
-      -0.021655533399590463,
-    ],
-    [
-      0.2594638151136077, -0.14980150350080867, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      0.2594638151136077, -0.14980150350080867, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      0.2594638151136077, -0.14980150350080867, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      0.2594638151136077, -0.14980150350080867, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.2594638151136077, -0.14980150350080867, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.2594638151136077, -0.14980150350080867, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, -0.11443816554294511, -0.11842848699506064,
-      0.09173431156968231,
-    ],
-    [
-      0.2594638151136077, -0.11443816554294511, -0.020230000720491297,
-      -0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, -0.11443816554294511, 0.13865848771555195,
-      0.05669492248463638,
-    ],
-    [
-      0.2594638151136077, -0.09258242072933612, -0.1636641437909489,
-      -0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, -0.09258242072933612, -0.12615565967785347,
-      -0.10511816725513776,
-    ],
-    [
-      0.2594638151136077, -0.09258242072933612, -0.027957173403284113,
-      0.16181308973977415,
-    ],
-    [
-      0.2594638151136077, -0.09258242072933612, 0.07024131287128524,
-      0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, -0.09258242072933612, 0.09342283091966369,
-      -0.1350453783688632,
-    ],
-    [
-      0.2594638151136077, -0.09258242072933612, 0.15411283308113757,
-      -0.05669492248463638,
-    ],
-    [
-      0.2594638151136077, -0.05721908277147256, -0.17616697182864738,
-      0.03503938908504592,
-    ],
-    [
-      0.2594638151136077, -0.05721908277147256, -0.10115000360245649,
-      -0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, -0.05721908277147256, -0.07796848555407804,
-      0.16181308973977415,
-    ],
-    [
-      0.2594638151136077, -0.05721908277147256, 0.05773848483358675,
-      -0.17008476745390916,
-    ],
-    [
-      0.2594638151136077, -0.05721908277147256, 0.11842848699506064,
-      0.1350453783688632,
-    ],
-    [
-      0.2594638151136077, -0.05721908277147256, 0.17911848915653455,
-      -0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, -0.035363337957863575, -0.1838941445114402,
-      -0.021655533399590463,
-    ],
-    [
-      0.2594638151136077, -0.035363337957863575, -0.14638566039834477,
-      -0.11338984496927276,
-    ],
-    [
-      0.2594638151136077, -0.035363337957863575, -0.025005656075396968,
-      0.18346862313936463,
-    ],
-    [
-      0.2594638151136077, -0.035363337957863575, 0.07319283019917239,
-      0.17008476745390916,
-    ],
-    [
-      0.2594638151136077, -0.035363337957863575, 0.11070131431226783,
-      -0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, -0.035363337957863575, 0.17139131647374173,
-      -0.07007877817009184,
-    ],
-    [
-      0.2594638151136077, 0.035363337957863575, -0.17139131647374173,
-      0.07007877817009184,
-    ],
-    [
-      0.2594638151136077, 0.035363337957863575, -0.11070131431226783,
-      0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, 0.035363337957863575, -0.07319283019917239,
-      -0.17008476745390916,
-    ],
-    [
-      0.2594638151136077, 0.035363337957863575, 0.025005656075396968,
-      -0.18346862313936463,
-    ],
-    [
-      0.2594638151136077, 0.035363337957863575, 0.14638566039834477,
-      0.11338984496927276,
-    ],
-    [
-      0.2594638151136077, 0.035363337957863575, 0.1838941445114402,
-      0.021655533399590463,
-    ],
-    [
-      0.2594638151136077, 0.05721908277147256, -0.17911848915653455,
-      0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, 0.05721908277147256, -0.11842848699506064,
-      -0.1350453783688632,
-    ],
-    [
-      0.2594638151136077, 0.05721908277147256, -0.05773848483358675,
-      0.17008476745390916,
-    ],
-    [
-      0.2594638151136077, 0.05721908277147256, 0.07796848555407804,
-      -0.16181308973977415,
-    ],
-    [
-      0.2594638151136077, 0.05721908277147256, 0.10115000360245649,
-      0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, 0.05721908277147256, 0.17616697182864738,
-      -0.03503938908504592,
-    ],
-    [
-      0.2594638151136077, 0.09258242072933612, -0.15411283308113757,
-      0.05669492248463638,
-    ],
-    [
-      0.2594638151136077, 0.09258242072933612, -0.09342283091966369,
-      0.1350453783688632,
-    ],
-    [
-      0.2594638151136077, 0.09258242072933612, -0.07024131287128524,
-      -0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, 0.09258242072933612, 0.027957173403284113,
-      -0.16181308973977415,
-    ],
-    [
-      0.2594638151136077, 0.09258242072933612, 0.12615565967785347,
-      0.10511816725513776,
-    ],
-    [
-      0.2594638151136077, 0.09258242072933612, 0.1636641437909489,
-      0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, 0.11443816554294511, -0.13865848771555195,
-      -0.05669492248463638,
-    ],
-    [
-      0.2594638151136077, 0.11443816554294511, 0.020230000720491297,
-      0.14842923405431868,
-    ],
-    [
-      0.2594638151136077, 0.11443816554294511, 0.11842848699506064,
-      -0.09173431156968231,
-    ],
-    [
-      0.2594638151136077, 0.14980150350080867, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      0.2594638151136077, 0.14980150350080867, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.2594638151136077, 0.14980150350080867, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.2594638151136077, 0.14980150350080867, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      0.2594638151136077, 0.14980150350080867, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      0.2594638151136077, 0.14980150350080867, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.2594638151136077, 0.18516484145867224, -0.027957173403284113,
-      0.021655533399590463,
-    ],
-    [
-      0.2594638151136077, 0.18516484145867224, -0.004775655354905669,
-      -0.03503938908504592,
-    ],
-    [
-      0.2594638151136077, 0.18516484145867224, 0.03273282875818978,
-      0.013383855685455463,
-    ],
-    [
-      0.290089364147732, -0.13211983452187692, -0.03273282875818978,
-      -0.013383855685455463,
-    ],
-    [
-      0.290089364147732, -0.13211983452187692, 0.004775655354905669,
-      0.03503938908504592,
-    ],
-    [
-      0.290089364147732, -0.13211983452187692, 0.027957173403284113,
-      -0.021655533399590463,
-    ],
-    [
-      0.290089364147732, -0.11026408970826793, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      0.290089364147732, -0.11026408970826793, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.290089364147732, -0.11026408970826793, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.290089364147732, -0.11026408970826793, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      0.290089364147732, -0.11026408970826793, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [0.290089364147732, -0.11026408970826793, 0.08092000288196519, 0.0],
-    [
-      0.290089364147732, -0.07490075175040434, -0.11365283164015497,
-      -0.013383855685455463,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, -0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, -0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, -0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, -0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, 0.04523565679588827,
-      0.10511816725513776,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, 0.06841717484426671,
-      -0.09173431156968231,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, 0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.290089364147732, -0.07490075175040434, 0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      0.290089364147732, -0.039537413792540776, -0.12615565967785347,
-      0.03503938908504592,
-    ],
-    [
-      0.290089364147732, -0.039537413792540776, -0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      0.290089364147732, -0.039537413792540776, -0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      0.290089364147732, -0.039537413792540776, 0.03273282875818978,
-      -0.1267737006547282,
-    ],
-    [
-      0.290089364147732, -0.039537413792540776, 0.09342283091966369,
-      0.09173431156968231,
-    ],
-    [0.290089364147732, -0.039537413792540776, 0.13093131503275912, 0.0],
-    [
-      0.290089364147732, -0.017681668978931787, -0.1338828323606463,
-      -0.021655533399590463,
-    ],
-    [
-      0.290089364147732, -0.017681668978931787, -0.11070131431226783,
-      -0.07835045588422684,
-    ],
-    [
-      0.290089364147732, -0.017681668978931787, -0.012502828037698484,
-      0.1350453783688632,
-    ],
-    [
-      0.290089364147732, -0.017681668978931787, 0.048187174123775406,
-      0.1267737006547282,
-    ],
-    [
-      0.290089364147732, -0.017681668978931787, 0.08569565823687086,
-      -0.10511816725513776,
-    ],
-    [
-      0.290089364147732, -0.017681668978931787, 0.12320414234996632,
-      -0.05669492248463638,
-    ],
-    [
-      0.290089364147732, 0.017681668978931787, -0.12320414234996632,
-      0.05669492248463638,
-    ],
-    [
-      0.290089364147732, 0.017681668978931787, -0.08569565823687086,
-      0.10511816725513776,
-    ],
-    [
-      0.290089364147732, 0.017681668978931787, -0.048187174123775406,
-      -0.1267737006547282,
-    ],
-    [
-      0.290089364147732, 0.017681668978931787, 0.012502828037698484,
-      -0.1350453783688632,
-    ],
-    [
-      0.290089364147732, 0.017681668978931787, 0.11070131431226783,
-      0.07835045588422684,
-    ],
-    [
-      0.290089364147732, 0.017681668978931787, 0.1338828323606463,
-      0.021655533399590463,
-    ],
-    [0.290089364147732, 0.039537413792540776, -0.13093131503275912, 0.0],
-    [
-      0.290089364147732, 0.039537413792540776, -0.09342283091966369,
-      -0.09173431156968231,
-    ],
-    [
-      0.290089364147732, 0.039537413792540776, -0.03273282875818978,
-      0.1267737006547282,
-    ],
-    [
-      0.290089364147732, 0.039537413792540776, 0.06546565751637956,
-      -0.11338984496927276,
-    ],
-    [
-      0.290089364147732, 0.039537413792540776, 0.06546565751637956,
-      0.11338984496927276,
-    ],
-    [
-      0.290089364147732, 0.039537413792540776, 0.12615565967785347,
-      -0.03503938908504592,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, -0.10592565895736217,
-      -0.043311066799180925,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, -0.10592565895736217,
-      0.043311066799180925,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, -0.06841717484426671,
-      0.09173431156968231,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, -0.04523565679588827,
-      -0.10511816725513776,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, 0.015454345365585629,
-      -0.11338984496927276,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, 0.015454345365585629,
-      0.11338984496927276,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, 0.09047131359177654,
-      -0.07007877817009184,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, 0.09047131359177654,
-      0.07007877817009184,
-    ],
-    [
-      0.290089364147732, 0.07490075175040434, 0.11365283164015497,
-      0.013383855685455463,
-    ],
-    [0.290089364147732, 0.11026408970826793, -0.08092000288196519, 0.0],
-    [
-      0.290089364147732, 0.11026408970826793, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      0.290089364147732, 0.11026408970826793, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      0.290089364147732, 0.11026408970826793, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.290089364147732, 0.11026408970826793, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.290089364147732, 0.11026408970826793, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      0.290089364147732, 0.13211983452187692, -0.027957173403284113,
-      0.021655533399590463,
-    ],
-    [
-      0.290089364147732, 0.13211983452187692, -0.004775655354905669,
-      -0.03503938908504592,
-    ],
-    [
-      0.290089364147732, 0.13211983452187692, 0.03273282875818978,
-      0.013383855685455463,
-    ],
-    [0.30901699437494745, -0.08582862415720885, 0.0, 0.0],
-    [
-      0.30901699437494745, -0.06397287934359985, -0.04523565679588827,
-      0.03503938908504592,
-    ],
-    [
-      0.30901699437494745, -0.06397287934359985, -0.0077271726827928145,
-      -0.05669492248463638,
-    ],
-    [
-      0.30901699437494745, -0.06397287934359985, 0.052962829478681084,
-      0.021655533399590463,
-    ],
-    [0.30901699437494745, -0.02860954138573628, -0.08092000288196519, 0.0],
-    [
-      0.30901699437494745, -0.02860954138573628, -0.05773848483358675,
-      -0.05669492248463638,
-    ],
-    [
-      0.30901699437494745, -0.02860954138573628, -0.020230000720491297,
-      0.07835045588422684,
-    ],
-    [
-      0.30901699437494745, -0.02860954138573628, 0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.30901699437494745, -0.02860954138573628, 0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.30901699437494745, -0.02860954138573628, 0.07796848555407804,
-      -0.021655533399590463,
-    ],
-    [
-      0.30901699437494745, 0.02860954138573628, -0.07796848555407804,
-      0.021655533399590463,
-    ],
-    [
-      0.30901699437494745, 0.02860954138573628, -0.04046000144098259,
-      -0.07007877817009184,
-    ],
-    [
-      0.30901699437494745, 0.02860954138573628, -0.04046000144098259,
-      0.07007877817009184,
-    ],
-    [
-      0.30901699437494745, 0.02860954138573628, 0.020230000720491297,
-      -0.07835045588422684,
-    ],
-    [
-      0.30901699437494745, 0.02860954138573628, 0.05773848483358675,
-      0.05669492248463638,
-    ],
-    [0.30901699437494745, 0.02860954138573628, 0.08092000288196519, 0.0],
-    [
-      0.30901699437494745, 0.06397287934359985, -0.052962829478681084,
-      -0.021655533399590463,
-    ],
-    [
-      0.30901699437494745, 0.06397287934359985, 0.0077271726827928145,
-      0.05669492248463638,
-    ],
-    [
-      0.30901699437494745, 0.06397287934359985, 0.04523565679588827,
-      -0.03503938908504592,
-    ],
-    [0.30901699437494745, 0.08582862415720885, 0.0, 0.0],
-  ],
-  faces: [
-    [2380, 2381, 2384, 2385, 2382],
-    [2394, 2395, 2398, 2399, 2397],
-    [2380, 2382, 2387, 2389, 2383],
-    [2383, 2388, 2394, 2395, 2389],
-    [2384, 2385, 2391, 2396, 2390],
-    [2390, 2392, 2397, 2399, 2396],
-    [2380, 2381, 2386, 2388, 2383],
-    [2381, 2384, 2390, 2392, 2386],
-    [2387, 2389, 2395, 2398, 2393],
-    [2391, 2393, 2398, 2399, 2396],
-    [2382, 2385, 2391, 2393, 2387],
-    [2386, 2388, 2394, 2397, 2392],
-    [2369, 2370, 2376, 2379, 2375],
-    [2369, 2370, 2395, 2394],
-    [2375, 2379, 2399, 2397],
-    [2370, 2376, 2398, 2395],
-    [2376, 2379, 2399, 2398],
-    [2369, 2375, 2397, 2394],
-    [2365, 2372, 2396, 2391],
-    [2365, 2366, 2374, 2378, 2372],
-    [2366, 2374, 2398, 2393],
-    [2374, 2378, 2399, 2398],
-    [2372, 2378, 2399, 2396],
-    [2365, 2366, 2393, 2391],
-    [2374, 2376, 2379, 2378],
-    [2374, 2376, 2398],
-    [2378, 2379, 2399],
-    [2373, 2377, 2399, 2397],
-    [2363, 2364, 2373, 2377, 2371],
-    [2363, 2364, 2392, 2390],
-    [2363, 2371, 2396, 2390],
-    [2371, 2377, 2399, 2396],
-    [2364, 2373, 2397, 2392],
-    [2373, 2375, 2379, 2377],
-    [2373, 2375, 2397],
-    [2377, 2379, 2399],
-    [2371, 2372, 2378, 2377],
-    [2371, 2372, 2396],
-    [2377, 2378, 2399],
-    [2377, 2378, 2379],
-    [2348, 2349, 2389, 2387],
-    [2348, 2349, 2361, 2368, 2359],
-    [2359, 2368, 2398, 2393],
-    [2361, 2368, 2398, 2395],
-    [2349, 2361, 2395, 2389],
-    [2348, 2359, 2393, 2387],
-    [2361, 2368, 2376, 2370],
-    [2368, 2376, 2398],
-    [2361, 2370, 2395],
-    [2359, 2366, 2374, 2368],
-    [2359, 2366, 2393],
-    [2368, 2374, 2398],
-    [2368, 2374, 2376],
-    [2347, 2360, 2394, 2388],
-    [2358, 2367, 2397, 2392],
-    [2346, 2347, 2388, 2386],
-    [2346, 2358, 2392, 2386],
-    [2360, 2367, 2397, 2394],
-    [2346, 2347, 2360, 2367, 2358],
-    [2360, 2369, 2394],
-    [2367, 2375, 2397],
-    [2360, 2367, 2375, 2369],
-    [2358, 2364, 2373, 2367],
-    [2358, 2364, 2392],
-    [2367, 2373, 2397],
-    [2367, 2373, 2375],
-    [2344, 2345, 2385, 2384],
-    [2344, 2345, 2357, 2362, 2356],
-    [2357, 2362, 2396, 2391],
-    [2356, 2362, 2396, 2390],
-    [2344, 2356, 2390, 2384],
-    [2345, 2357, 2391, 2385],
-    [2357, 2362, 2372, 2365],
-    [2357, 2365, 2391],
-    [2362, 2372, 2396],
-    [2356, 2362, 2371, 2363],
-    [2356, 2363, 2390],
-    [2362, 2371, 2396],
-    [2362, 2371, 2372],
-    [2354, 2355, 2395, 2394],
-    [2337, 2342, 2354, 2355, 2343],
-    [2337, 2342, 2388, 2383],
-    [2337, 2343, 2389, 2383],
-    [2343, 2355, 2395, 2389],
-    [2342, 2354, 2394, 2388],
-    [2354, 2355, 2370, 2369],
-    [2354, 2369, 2394],
-    [2355, 2370, 2395],
-    [2343, 2349, 2361, 2355],
-    [2343, 2349, 2389],
-    [2355, 2361, 2395],
-    [2355, 2361, 2370],
-    [2342, 2347, 2360, 2354],
-    [2342, 2347, 2388],
-    [2354, 2360, 2394],
-    [2354, 2360, 2369],
-    [2332, 2341, 2387, 2382],
-    [2339, 2352, 2391, 2385],
-    [2341, 2353, 2393, 2387],
-    [2352, 2353, 2393, 2391],
-    [2332, 2339, 2385, 2382],
-    [2332, 2339, 2352, 2353, 2341],
-    [2353, 2366, 2393],
-    [2352, 2365, 2391],
-    [2352, 2353, 2366, 2365],
-    [2353, 2359, 2393],
-    [2341, 2348, 2387],
-    [2341, 2348, 2359, 2353],
-    [2353, 2359, 2366],
-    [2350, 2351, 2392, 2390],
-    [2331, 2338, 2350, 2351, 2340],
-    [2331, 2340, 2386, 2381],
-    [2331, 2338, 2384, 2381],
-    [2338, 2350, 2390, 2384],
-    [2340, 2351, 2392, 2386],
-    [2350, 2351, 2364, 2363],
-    [2351, 2364, 2392],
-    [2350, 2363, 2390],
-    [2340, 2346, 2386],
-    [2351, 2358, 2392],
-    [2340, 2346, 2358, 2351],
-    [2351, 2358, 2364],
-    [2339, 2345, 2357, 2352],
-    [2352, 2357, 2391],
-    [2339, 2345, 2385],
-    [2352, 2357, 2365],
-    [2338, 2344, 2356, 2350],
-    [2350, 2356, 2390],
-    [2338, 2344, 2384],
-    [2350, 2356, 2363],
-    [2322, 2326, 2382, 2380],
-    [2322, 2326, 2335, 2336, 2328],
-    [2335, 2336, 2389, 2387],
-    [2328, 2336, 2389, 2383],
-    [2322, 2328, 2383, 2380],
-    [2326, 2335, 2387, 2382],
-    [2335, 2336, 2349, 2348],
-    [2335, 2348, 2387],
-    [2336, 2349, 2389],
-    [2328, 2336, 2343, 2337],
-    [2328, 2337, 2383],
-    [2336, 2343, 2389],
-    [2336, 2343, 2349],
-    [2327, 2334, 2388, 2383],
-    [2321, 2325, 2333, 2334, 2327],
-    [2325, 2333, 2386, 2381],
-    [2321, 2325, 2381, 2380],
-    [2321, 2327, 2383, 2380],
-    [2333, 2334, 2388, 2386],
-    [2333, 2346, 2386],
-    [2334, 2347, 2388],
-    [2333, 2334, 2347, 2346],
-    [2327, 2334, 2342, 2337],
-    [2334, 2342, 2388],
-    [2327, 2337, 2383],
-    [2334, 2342, 2347],
-    [2326, 2332, 2341, 2335],
-    [2335, 2341, 2387],
-    [2326, 2332, 2382],
-    [2335, 2341, 2348],
-    [2325, 2331, 2340, 2333],
-    [2333, 2340, 2386],
-    [2325, 2331, 2381],
-    [2333, 2340, 2346],
-    [2320, 2323, 2329, 2330, 2324],
-    [2320, 2324, 2382, 2380],
-    [2329, 2330, 2385, 2384],
-    [2320, 2323, 2381, 2380],
-    [2323, 2329, 2384, 2381],
-    [2324, 2330, 2385, 2382],
-    [2329, 2330, 2345, 2344],
-    [2330, 2345, 2385],
-    [2329, 2344, 2384],
-    [2324, 2332, 2382],
-    [2330, 2339, 2385],
-    [2324, 2330, 2339, 2332],
-    [2330, 2339, 2345],
-    [2323, 2329, 2338, 2331],
-    [2323, 2331, 2381],
-    [2329, 2338, 2384],
-    [2329, 2338, 2344],
-    [2321, 2322, 2328, 2327],
-    [2327, 2328, 2383],
-    [2321, 2322, 2380],
-    [2327, 2328, 2337],
-    [2320, 2322, 2326, 2324],
-    [2324, 2326, 2382],
-    [2320, 2322, 2380],
-    [2324, 2326, 2332],
-    [2320, 2321, 2325, 2323],
-    [2323, 2325, 2381],
-    [2320, 2321, 2380],
-    [2323, 2325, 2331],
-    [2320, 2321, 2322],
-    [2317, 2318, 2319],
-    [2317, 2318, 2378, 2377],
-    [2318, 2319, 2379, 2378],
-    [2317, 2319, 2379, 2377],
-    [2257, 2259, 2319, 2318],
-    [2257, 2259, 2316, 2315],
-    [2257, 2315, 2374, 2378, 2318],
-    [2259, 2316, 2376, 2379, 2319],
-    [2315, 2316, 2376, 2374],
-    [2256, 2258, 2319, 2317],
-    [2256, 2313, 2373, 2377, 2317],
-    [2256, 2258, 2314, 2313],
-    [2258, 2314, 2375, 2379, 2319],
-    [2313, 2314, 2375, 2373],
-    [2161, 2166, 2175, 2176, 2167],
-    [2161, 2167, 2253, 2307, 2247],
-    [2175, 2176, 2259, 2319, 2258],
-    [2161, 2166, 2252, 2306, 2247],
-    [2166, 2175, 2258, 2314, 2252],
-    [2167, 2176, 2259, 2316, 2253],
-    [2253, 2307, 2370, 2376, 2316],
-    [2252, 2306, 2369, 2375, 2314],
-    [2247, 2306, 2369, 2370, 2307],
-    [2254, 2255, 2318, 2317],
-    [2254, 2255, 2312, 2311],
-    [2255, 2312, 2372, 2378, 2318],
-    [2254, 2311, 2371, 2377, 2317],
-    [2311, 2312, 2372, 2371],
-    [2165, 2172, 2257, 2315, 2251],
-    [2164, 2171, 2255, 2312, 2249],
-    [2156, 2164, 2171, 2172, 2165],
-    [2171, 2172, 2257, 2318, 2255],
-    [2156, 2164, 2249, 2304, 2242],
-    [2156, 2165, 2251, 2305, 2242],
-    [2242, 2304, 2365, 2366, 2305],
-    [2249, 2304, 2365, 2372, 2312],
-    [2251, 2305, 2366, 2374, 2315],
-    [2155, 2162, 2248, 2302, 2241],
-    [2155, 2162, 2169, 2170, 2163],
-    [2169, 2170, 2256, 2317, 2254],
-    [2163, 2170, 2256, 2313, 2250],
-    [2162, 2169, 2254, 2311, 2248],
-    [2155, 2163, 2250, 2303, 2241],
-    [2248, 2302, 2363, 2371, 2311],
-    [2250, 2303, 2364, 2373, 2313],
-    [2241, 2302, 2363, 2364, 2303],
-    [2310, 2315, 2316],
-    [2310, 2316, 2376, 2368],
-    [2310, 2315, 2374, 2368],
-    [2246, 2253, 2307, 2301],
-    [2246, 2253, 2316, 2310],
-    [2246, 2301, 2361, 2368, 2310],
-    [2301, 2307, 2370, 2361],
-    [2309, 2313, 2314],
-    [2309, 2314, 2375, 2367],
-    [2309, 2313, 2373, 2367],
-    [2244, 2252, 2306, 2300],
-    [2244, 2252, 2314, 2309],
-    [2244, 2300, 2360, 2367, 2309],
-    [2300, 2306, 2369, 2360],
-    [2245, 2251, 2315, 2310],
-    [2245, 2299, 2359, 2368, 2310],
-    [2245, 2251, 2305, 2299],
-    [2299, 2305, 2366, 2359],
-    [2243, 2250, 2313, 2309],
-    [2243, 2250, 2303, 2298],
-    [2243, 2298, 2358, 2367, 2309],
-    [2298, 2303, 2364, 2358],
-    [2308, 2311, 2312],
-    [2308, 2311, 2371, 2362],
-    [2308, 2312, 2372, 2362],
-    [2240, 2249, 2312, 2308],
-    [2240, 2249, 2304, 2297],
-    [2240, 2297, 2357, 2362, 2308],
-    [2297, 2304, 2365, 2357],
-    [2239, 2248, 2302, 2296],
-    [2239, 2248, 2311, 2308],
-    [2239, 2296, 2356, 2362, 2308],
-    [2296, 2302, 2363, 2356],
-    [2238, 2247, 2307, 2295],
-    [2238, 2294, 2354, 2355, 2295],
-    [2238, 2247, 2306, 2294],
-    [2295, 2307, 2370, 2355],
-    [2294, 2306, 2369, 2354],
-    [2295, 2301, 2307],
-    [2295, 2301, 2361, 2355],
-    [2294, 2300, 2306],
-    [2294, 2300, 2360, 2354],
-    [2143, 2144, 2246, 2310, 2245],
-    [2119, 2133, 2235, 2289, 2223],
-    [2119, 2131, 2143, 2144, 2133],
-    [2133, 2144, 2246, 2301, 2235],
-    [2119, 2131, 2233, 2288, 2223],
-    [2131, 2143, 2245, 2299, 2233],
-    [2235, 2289, 2349, 2361, 2301],
-    [2233, 2288, 2348, 2359, 2299],
-    [2223, 2288, 2348, 2349, 2289],
-    [2130, 2142, 2244, 2300, 2234],
-    [2141, 2142, 2244, 2309, 2243],
-    [2118, 2130, 2234, 2287, 2222],
-    [2128, 2141, 2243, 2298, 2232],
-    [2118, 2128, 2141, 2142, 2130],
-    [2118, 2128, 2232, 2286, 2222],
-    [2234, 2287, 2347, 2360, 2300],
-    [2222, 2286, 2346, 2347, 2287],
-    [2232, 2286, 2346, 2358, 2298],
-    [2237, 2242, 2304, 2292],
-    [2237, 2242, 2305, 2293],
-    [2237, 2292, 2352, 2353, 2293],
-    [2292, 2304, 2365, 2352],
-    [2293, 2305, 2366, 2353],
-    [2293, 2299, 2305],
-    [2293, 2299, 2359, 2353],
-    [2292, 2297, 2357, 2352],
-    [2292, 2297, 2304],
-    [2236, 2241, 2302, 2290],
-    [2236, 2241, 2303, 2291],
-    [2236, 2290, 2350, 2351, 2291],
-    [2290, 2302, 2363, 2350],
-    [2291, 2303, 2364, 2351],
-    [2291, 2298, 2303],
-    [2291, 2298, 2358, 2351],
-    [2290, 2296, 2302],
-    [2290, 2296, 2356, 2350],
-    [2135, 2136, 2240, 2308, 2239],
-    [2117, 2123, 2135, 2136, 2125],
-    [2117, 2123, 2230, 2284, 2221],
-    [2117, 2125, 2231, 2285, 2221],
-    [2123, 2135, 2239, 2296, 2230],
-    [2125, 2136, 2240, 2297, 2231],
-    [2230, 2284, 2344, 2356, 2296],
-    [2231, 2285, 2345, 2357, 2297],
-    [2221, 2284, 2344, 2345, 2285],
-    [2229, 2235, 2301, 2295],
-    [2229, 2235, 2289, 2283],
-    [2229, 2283, 2343, 2355, 2295],
-    [2283, 2289, 2349, 2343],
-    [2228, 2234, 2300, 2294],
-    [2228, 2234, 2287, 2282],
-    [2228, 2282, 2342, 2354, 2294],
-    [2282, 2287, 2347, 2342],
-    [2227, 2233, 2288, 2281],
-    [2227, 2233, 2299, 2293],
-    [2227, 2281, 2341, 2353, 2293],
-    [2281, 2288, 2348, 2341],
-    [2226, 2232, 2298, 2291],
-    [2226, 2232, 2286, 2280],
-    [2226, 2280, 2340, 2351, 2291],
-    [2280, 2286, 2346, 2340],
-    [2225, 2231, 2285, 2279],
-    [2225, 2231, 2297, 2292],
-    [2225, 2279, 2339, 2352, 2292],
-    [2279, 2285, 2345, 2339],
-    [2224, 2230, 2284, 2278],
-    [2224, 2230, 2296, 2290],
-    [2224, 2278, 2338, 2350, 2290],
-    [2278, 2284, 2344, 2338],
-    [2103, 2104, 2220, 2271, 2219],
-    [2103, 2104, 2116, 2122, 2114],
-    [2116, 2122, 2238, 2295, 2229],
-    [2114, 2122, 2238, 2294, 2228],
-    [2104, 2116, 2229, 2283, 2220],
-    [2103, 2114, 2228, 2282, 2219],
-    [2220, 2271, 2337, 2343, 2283],
-    [2219, 2271, 2337, 2342, 2282],
-    [2097, 2098, 2216, 2270, 2215],
-    [2097, 2109, 2225, 2279, 2215],
-    [2098, 2111, 2227, 2281, 2216],
-    [2109, 2121, 2237, 2292, 2225],
-    [2097, 2098, 2111, 2121, 2109],
-    [2111, 2121, 2237, 2293, 2227],
-    [2215, 2270, 2332, 2339, 2279],
-    [2216, 2270, 2332, 2341, 2281],
-    [2095, 2096, 2214, 2269, 2213],
-    [2106, 2120, 2236, 2290, 2224],
-    [2095, 2096, 2108, 2120, 2106],
-    [2095, 2106, 2224, 2278, 2213],
-    [2108, 2120, 2236, 2291, 2226],
-    [2096, 2108, 2226, 2280, 2214],
-    [2213, 2269, 2331, 2338, 2278],
-    [2214, 2269, 2331, 2340, 2280],
-    [2218, 2223, 2289, 2277],
-    [2218, 2223, 2288, 2276],
-    [2218, 2276, 2335, 2336, 2277],
-    [2277, 2289, 2349, 2336],
-    [2276, 2288, 2348, 2335],
-    [2277, 2283, 2289],
-    [2277, 2283, 2343, 2336],
-    [2276, 2281, 2341, 2335],
-    [2276, 2281, 2288],
-    [2217, 2222, 2287, 2275],
-    [2217, 2222, 2286, 2274],
-    [2217, 2274, 2333, 2334, 2275],
-    [2275, 2287, 2347, 2334],
-    [2274, 2286, 2346, 2333],
-    [2275, 2282, 2287],
-    [2275, 2282, 2342, 2334],
-    [2274, 2280, 2286],
-    [2274, 2280, 2340, 2333],
-    [2212, 2221, 2284, 2272],
-    [2212, 2221, 2285, 2273],
-    [2212, 2272, 2329, 2330, 2273],
-    [2272, 2284, 2344, 2329],
-    [2273, 2285, 2345, 2330],
-    [2273, 2279, 2285],
-    [2273, 2279, 2339, 2330],
-    [2272, 2278, 2284],
-    [2272, 2278, 2338, 2329],
-    [2211, 2220, 2271, 2268],
-    [2211, 2220, 2283, 2277],
-    [2211, 2268, 2328, 2336, 2277],
-    [2268, 2271, 2337, 2328],
-    [2210, 2219, 2271, 2267],
-    [2210, 2219, 2282, 2275],
-    [2210, 2267, 2327, 2334, 2275],
-    [2267, 2271, 2337, 2327],
-    [2209, 2216, 2270, 2266],
-    [2209, 2216, 2281, 2276],
-    [2209, 2266, 2326, 2335, 2276],
-    [2266, 2270, 2332, 2326],
-    [2208, 2214, 2269, 2264],
-    [2208, 2264, 2325, 2333, 2274],
-    [2208, 2214, 2280, 2274],
-    [2264, 2269, 2331, 2325],
-    [2207, 2215, 2270, 2265],
-    [2207, 2215, 2279, 2273],
-    [2207, 2265, 2324, 2330, 2273],
-    [2265, 2270, 2332, 2324],
-    [2206, 2213, 2278, 2272],
-    [2206, 2213, 2269, 2263],
-    [2206, 2263, 2323, 2329, 2272],
-    [2263, 2269, 2331, 2323],
-    [2267, 2268, 2271],
-    [2267, 2268, 2328, 2327],
-    [2077, 2084, 2218, 2277, 2211],
-    [2069, 2070, 2077, 2084, 2076],
-    [2069, 2070, 2205, 2262, 2203],
-    [2069, 2076, 2209, 2266, 2203],
-    [2070, 2077, 2211, 2268, 2205],
-    [2076, 2084, 2218, 2276, 2209],
-    [2205, 2262, 2322, 2328, 2268],
-    [2203, 2262, 2322, 2326, 2266],
-    [2067, 2074, 2208, 2264, 2202],
-    [2068, 2075, 2210, 2267, 2204],
-    [2067, 2068, 2075, 2083, 2074],
-    [2067, 2068, 2204, 2261, 2202],
-    [2075, 2083, 2217, 2275, 2210],
-    [2074, 2083, 2217, 2274, 2208],
-    [2204, 2261, 2321, 2327, 2267],
-    [2202, 2261, 2321, 2325, 2264],
-    [2265, 2266, 2270],
-    [2265, 2266, 2326, 2324],
-    [2263, 2264, 2269],
-    [2263, 2264, 2325, 2323],
-    [2063, 2064, 2073, 2078, 2072],
-    [2063, 2064, 2201, 2260, 2200],
-    [2072, 2078, 2212, 2272, 2206],
-    [2064, 2073, 2207, 2265, 2201],
-    [2073, 2078, 2212, 2273, 2207],
-    [2063, 2072, 2206, 2263, 2200],
-    [2200, 2260, 2320, 2323, 2263],
-    [2201, 2260, 2320, 2324, 2265],
-    [2204, 2205, 2262, 2261],
-    [2204, 2205, 2268, 2267],
-    [2261, 2262, 2322, 2321],
-    [2201, 2203, 2262, 2260],
-    [2201, 2203, 2266, 2265],
-    [2260, 2262, 2322, 2320],
-    [2200, 2202, 2261, 2260],
-    [2200, 2202, 2264, 2263],
-    [2260, 2261, 2321, 2320],
-    [2260, 2261, 2262],
-    [2199, 2317, 2318],
-    [2199, 2318, 2319],
-    [2199, 2317, 2319],
-    [2179, 2257, 2259],
-    [2179, 2199, 2318, 2257],
-    [2179, 2199, 2319, 2259],
-    [2178, 2199, 2317, 2256],
-    [2178, 2199, 2319, 2258],
-    [2178, 2256, 2258],
-    [2058, 2059, 2179, 2199, 2178],
-    [2058, 2059, 2176, 2175],
-    [2059, 2176, 2259, 2179],
-    [2058, 2175, 2258, 2178],
-    [2177, 2254, 2255],
-    [2177, 2199, 2318, 2255],
-    [2177, 2199, 2317, 2254],
-    [2055, 2171, 2255, 2177],
-    [2055, 2057, 2179, 2199, 2177],
-    [2055, 2057, 2172, 2171],
-    [2057, 2172, 2257, 2179],
-    [2054, 2056, 2178, 2199, 2177],
-    [2054, 2056, 2170, 2169],
-    [2054, 2169, 2254, 2177],
-    [2056, 2170, 2256, 2178],
-    [2198, 2310, 2316],
-    [2198, 2315, 2316],
-    [2198, 2310, 2315],
-    [2174, 2257, 2259],
-    [2174, 2198, 2316, 2259],
-    [2174, 2198, 2315, 2257],
-    [2160, 2246, 2253],
-    [2160, 2198, 2316, 2253],
-    [2160, 2198, 2310, 2246],
-    [2047, 2160, 2253, 2167],
-    [2053, 2174, 2259, 2176],
-    [2047, 2053, 2176, 2167],
-    [2047, 2053, 2174, 2198, 2160],
-    [2159, 2198, 2310, 2245],
-    [2159, 2198, 2315, 2251],
-    [2159, 2245, 2251],
-    [2045, 2051, 2174, 2198, 2159],
-    [2045, 2051, 2172, 2165],
-    [2051, 2172, 2257, 2174],
-    [2045, 2159, 2251, 2165],
-    [2197, 2309, 2314],
-    [2197, 2313, 2314],
-    [2197, 2309, 2313],
-    [2173, 2197, 2314, 2258],
-    [2173, 2197, 2313, 2256],
-    [2173, 2256, 2258],
-    [2158, 2244, 2252],
-    [2158, 2197, 2314, 2252],
-    [2158, 2197, 2309, 2244],
-    [2046, 2052, 2175, 2166],
-    [2046, 2052, 2173, 2197, 2158],
-    [2046, 2158, 2252, 2166],
-    [2052, 2173, 2258, 2175],
-    [2157, 2197, 2313, 2250],
-    [2157, 2243, 2250],
-    [2157, 2197, 2309, 2243],
-    [2044, 2050, 2170, 2163],
-    [2044, 2050, 2173, 2197, 2157],
-    [2044, 2157, 2250, 2163],
-    [2050, 2170, 2256, 2173],
-    [2196, 2311, 2312],
-    [2196, 2308, 2311],
-    [2196, 2308, 2312],
-    [2168, 2254, 2255],
-    [2168, 2196, 2311, 2254],
-    [2168, 2196, 2312, 2255],
-    [2154, 2196, 2312, 2249],
-    [2154, 2196, 2308, 2240],
-    [2154, 2240, 2249],
-    [2043, 2049, 2168, 2196, 2154],
-    [2043, 2049, 2171, 2164],
-    [2049, 2168, 2255, 2171],
-    [2043, 2154, 2249, 2164],
-    [2153, 2196, 2311, 2248],
-    [2153, 2239, 2248],
-    [2153, 2196, 2308, 2239],
-    [2042, 2048, 2169, 2162],
-    [2042, 2048, 2168, 2196, 2153],
-    [2042, 2153, 2248, 2162],
-    [2048, 2168, 2254, 2169],
-    [2032, 2033, 2160, 2198, 2159],
-    [2032, 2033, 2144, 2143],
-    [2033, 2144, 2246, 2160],
-    [2032, 2143, 2245, 2159],
-    [2030, 2031, 2158, 2197, 2157],
-    [2031, 2142, 2244, 2158],
-    [2030, 2141, 2243, 2157],
-    [2030, 2031, 2142, 2141],
-    [2024, 2025, 2154, 2196, 2153],
-    [2024, 2025, 2136, 2135],
-    [2024, 2135, 2239, 2153],
-    [2025, 2136, 2240, 2154],
-    [2195, 2295, 2301],
-    [2195, 2301, 2307],
-    [2195, 2295, 2307],
-    [2152, 2246, 2253],
-    [2152, 2195, 2301, 2246],
-    [2152, 2195, 2307, 2253],
-    [2146, 2195, 2295, 2238],
-    [2146, 2195, 2307, 2247],
-    [2146, 2238, 2247],
-    [2035, 2041, 2152, 2195, 2146],
-    [2035, 2041, 2167, 2161],
-    [2041, 2152, 2253, 2167],
-    [2035, 2146, 2247, 2161],
-    [2194, 2300, 2306],
-    [2194, 2294, 2306],
-    [2194, 2294, 2300],
-    [2151, 2244, 2252],
-    [2151, 2194, 2306, 2252],
-    [2151, 2194, 2300, 2244],
-    [2145, 2194, 2306, 2247],
-    [2145, 2194, 2294, 2238],
-    [2145, 2238, 2247],
-    [2034, 2040, 2166, 2161],
-    [2034, 2040, 2151, 2194, 2145],
-    [2040, 2151, 2252, 2166],
-    [2034, 2145, 2247, 2161],
-    [2193, 2299, 2305],
-    [2193, 2293, 2299],
-    [2193, 2293, 2305],
-    [2150, 2245, 2251],
-    [2150, 2193, 2299, 2245],
-    [2150, 2193, 2305, 2251],
-    [2140, 2193, 2305, 2242],
-    [2140, 2237, 2242],
-    [2140, 2193, 2293, 2237],
-    [2029, 2039, 2165, 2156],
-    [2029, 2140, 2242, 2156],
-    [2029, 2039, 2150, 2193, 2140],
-    [2039, 2150, 2251, 2165],
-    [2191, 2292, 2297],
-    [2191, 2297, 2304],
-    [2191, 2292, 2304],
-    [2148, 2191, 2297, 2240],
-    [2148, 2240, 2249],
-    [2148, 2191, 2304, 2249],
-    [2139, 2191, 2304, 2242],
-    [2139, 2237, 2242],
-    [2139, 2191, 2292, 2237],
-    [2028, 2037, 2164, 2156],
-    [2028, 2037, 2148, 2191, 2139],
-    [2028, 2139, 2242, 2156],
-    [2037, 2148, 2249, 2164],
-    [2192, 2298, 2303],
-    [2192, 2291, 2303],
-    [2192, 2291, 2298],
-    [2149, 2243, 2250],
-    [2149, 2192, 2303, 2250],
-    [2149, 2192, 2298, 2243],
-    [2138, 2192, 2303, 2241],
-    [2138, 2236, 2241],
-    [2138, 2192, 2291, 2236],
-    [2027, 2038, 2163, 2155],
-    [2038, 2149, 2250, 2163],
-    [2027, 2038, 2149, 2192, 2138],
-    [2027, 2138, 2241, 2155],
-    [2190, 2290, 2296],
-    [2190, 2296, 2302],
-    [2190, 2290, 2302],
-    [2147, 2190, 2296, 2239],
-    [2147, 2239, 2248],
-    [2147, 2190, 2302, 2248],
-    [2137, 2190, 2290, 2236],
-    [2137, 2190, 2302, 2241],
-    [2137, 2236, 2241],
-    [2026, 2036, 2147, 2190, 2137],
-    [2026, 2036, 2162, 2155],
-    [2036, 2147, 2248, 2162],
-    [2026, 2137, 2241, 2155],
-    [2134, 2229, 2235],
-    [2134, 2195, 2301, 2235],
-    [2134, 2195, 2295, 2229],
-    [2016, 2133, 2235, 2134],
-    [2016, 2023, 2152, 2195, 2134],
-    [2016, 2023, 2144, 2133],
-    [2023, 2144, 2246, 2152],
-    [2132, 2194, 2294, 2228],
-    [2132, 2228, 2234],
-    [2132, 2194, 2300, 2234],
-    [2014, 2021, 2151, 2194, 2132],
-    [2021, 2142, 2244, 2151],
-    [2014, 2130, 2234, 2132],
-    [2014, 2021, 2142, 2130],
-    [2129, 2193, 2299, 2233],
-    [2129, 2227, 2233],
-    [2129, 2193, 2293, 2227],
-    [2013, 2022, 2143, 2131],
-    [2013, 2129, 2233, 2131],
-    [2013, 2022, 2150, 2193, 2129],
-    [2022, 2143, 2245, 2150],
-    [2127, 2192, 2291, 2226],
-    [2127, 2226, 2232],
-    [2127, 2192, 2298, 2232],
-    [2011, 2020, 2149, 2192, 2127],
-    [2020, 2141, 2243, 2149],
-    [2011, 2020, 2141, 2128],
-    [2011, 2127, 2232, 2128],
-    [2126, 2225, 2231],
-    [2126, 2191, 2297, 2231],
-    [2126, 2191, 2292, 2225],
-    [2008, 2019, 2136, 2125],
-    [2008, 2125, 2231, 2126],
-    [2008, 2019, 2148, 2191, 2126],
-    [2019, 2136, 2240, 2148],
-    [2124, 2224, 2230],
-    [2124, 2190, 2296, 2230],
-    [2124, 2190, 2290, 2224],
-    [2006, 2018, 2135, 2123],
-    [2006, 2018, 2147, 2190, 2124],
-    [2006, 2123, 2230, 2124],
-    [2018, 2135, 2239, 2147],
-    [2005, 2017, 2146, 2195, 2134],
-    [2005, 2017, 2122, 2116],
-    [2005, 2116, 2229, 2134],
-    [2017, 2122, 2238, 2146],
-    [2004, 2015, 2122, 2114],
-    [2004, 2015, 2145, 2194, 2132],
-    [2004, 2114, 2228, 2132],
-    [2015, 2122, 2238, 2145],
-    [2003, 2111, 2227, 2129],
-    [2012, 2121, 2237, 2140],
-    [2003, 2012, 2140, 2193, 2129],
-    [2003, 2012, 2121, 2111],
-    [2002, 2010, 2139, 2191, 2126],
-    [2002, 2109, 2225, 2126],
-    [2002, 2010, 2121, 2109],
-    [2010, 2121, 2237, 2139],
-    [2001, 2009, 2120, 2108],
-    [2001, 2009, 2138, 2192, 2127],
-    [2001, 2108, 2226, 2127],
-    [2009, 2120, 2236, 2138],
-    [2000, 2007, 2137, 2190, 2124],
-    [2000, 2007, 2120, 2106],
-    [2000, 2106, 2224, 2124],
-    [2007, 2120, 2236, 2137],
-    [2189, 2283, 2289],
-    [2189, 2277, 2283],
-    [2189, 2277, 2289],
-    [2115, 2229, 2235],
-    [2115, 2189, 2283, 2229],
-    [2115, 2189, 2289, 2235],
-    [2102, 2189, 2289, 2223],
-    [2102, 2189, 2277, 2218],
-    [2102, 2218, 2223],
-    [1992, 1999, 2115, 2189, 2102],
-    [1992, 1999, 2133, 2119],
-    [1999, 2115, 2235, 2133],
-    [1992, 2102, 2223, 2119],
-    [2187, 2276, 2281],
-    [2187, 2276, 2288],
-    [2187, 2281, 2288],
-    [2112, 2187, 2288, 2233],
-    [2112, 2227, 2233],
-    [2112, 2187, 2281, 2227],
-    [2101, 2187, 2276, 2218],
-    [2101, 2218, 2223],
-    [2101, 2187, 2288, 2223],
-    [1990, 1998, 2131, 2119],
-    [1990, 1998, 2112, 2187, 2101],
-    [1998, 2112, 2233, 2131],
-    [1990, 2101, 2223, 2119],
-    [2188, 2282, 2287],
-    [2188, 2275, 2282],
-    [2188, 2275, 2287],
-    [2113, 2228, 2234],
-    [2113, 2188, 2282, 2228],
-    [2113, 2188, 2287, 2234],
-    [2100, 2188, 2275, 2217],
-    [2100, 2217, 2222],
-    [2100, 2188, 2287, 2222],
-    [1989, 1997, 2113, 2188, 2100],
-    [1997, 2113, 2234, 2130],
-    [1989, 1997, 2130, 2118],
-    [1989, 2100, 2222, 2118],
-    [2186, 2274, 2280],
-    [2186, 2274, 2286],
-    [2186, 2280, 2286],
-    [2110, 2186, 2280, 2226],
-    [2110, 2226, 2232],
-    [2110, 2186, 2286, 2232],
-    [2099, 2186, 2274, 2217],
-    [2099, 2217, 2222],
-    [2099, 2186, 2286, 2222],
-    [1987, 2099, 2222, 2118],
-    [1996, 2110, 2232, 2128],
-    [1987, 1996, 2110, 2186, 2099],
-    [1987, 1996, 2128, 2118],
-    [2185, 2273, 2279],
-    [2185, 2273, 2285],
-    [2185, 2279, 2285],
-    [2107, 2185, 2285, 2231],
-    [2107, 2225, 2231],
-    [2107, 2185, 2279, 2225],
-    [2094, 2185, 2273, 2212],
-    [2094, 2185, 2285, 2221],
-    [2094, 2212, 2221],
-    [1984, 1995, 2125, 2117],
-    [1984, 1995, 2107, 2185, 2094],
-    [1995, 2107, 2231, 2125],
-    [1984, 2094, 2221, 2117],
-    [2184, 2278, 2284],
-    [2184, 2272, 2278],
-    [2184, 2272, 2284],
-    [2105, 2224, 2230],
-    [2105, 2184, 2278, 2224],
-    [2105, 2184, 2284, 2230],
-    [2093, 2184, 2284, 2221],
-    [2093, 2184, 2272, 2212],
-    [2093, 2212, 2221],
-    [1982, 1994, 2105, 2184, 2093],
-    [1982, 1994, 2123, 2117],
-    [1994, 2105, 2230, 2123],
-    [1982, 2093, 2221, 2117],
-    [2092, 2189, 2283, 2220],
-    [2092, 2211, 2220],
-    [2092, 2189, 2277, 2211],
-    [1981, 1993, 2116, 2104],
-    [1981, 1993, 2115, 2189, 2092],
-    [1993, 2115, 2229, 2116],
-    [1981, 2092, 2220, 2104],
-    [2091, 2188, 2282, 2219],
-    [2091, 2210, 2219],
-    [2091, 2188, 2275, 2210],
-    [1980, 1991, 2114, 2103],
-    [1991, 2113, 2228, 2114],
-    [1980, 1991, 2113, 2188, 2091],
-    [1980, 2091, 2219, 2103],
-    [2090, 2209, 2216],
-    [2090, 2187, 2276, 2209],
-    [2090, 2187, 2281, 2216],
-    [1979, 1988, 2112, 2187, 2090],
-    [1979, 2090, 2216, 2098],
-    [1979, 1988, 2111, 2098],
-    [1988, 2111, 2227, 2112],
-    [2089, 2208, 2214],
-    [2089, 2186, 2274, 2208],
-    [2089, 2186, 2280, 2214],
-    [1977, 1986, 2108, 2096],
-    [1977, 1986, 2110, 2186, 2089],
-    [1986, 2108, 2226, 2110],
-    [1977, 2089, 2214, 2096],
-    [2088, 2207, 2215],
-    [2088, 2185, 2273, 2207],
-    [2088, 2185, 2279, 2215],
-    [1978, 1985, 2107, 2185, 2088],
-    [1978, 2088, 2215, 2097],
-    [1978, 1985, 2109, 2097],
-    [1985, 2107, 2225, 2109],
-    [2087, 2206, 2213],
-    [2087, 2184, 2278, 2213],
-    [2087, 2184, 2272, 2206],
-    [1983, 2105, 2224, 2106],
-    [1976, 1983, 2105, 2184, 2087],
-    [1976, 1983, 2106, 2095],
-    [1976, 2087, 2213, 2095],
-    [1963, 1973, 2102, 2189, 2092],
-    [1963, 1973, 2084, 2077],
-    [1963, 2077, 2211, 2092],
-    [1973, 2084, 2218, 2102],
-    [1961, 1972, 2084, 2076],
-    [1961, 2076, 2209, 2090],
-    [1961, 1972, 2101, 2187, 2090],
-    [1972, 2084, 2218, 2101],
-    [1962, 1971, 2083, 2075],
-    [1962, 1971, 2100, 2188, 2091],
-    [1971, 2083, 2217, 2100],
-    [1962, 2075, 2210, 2091],
-    [1960, 1970, 2083, 2074],
-    [1960, 1970, 2099, 2186, 2089],
-    [1970, 2083, 2217, 2099],
-    [1960, 2074, 2208, 2089],
-    [1959, 1965, 2078, 2073],
-    [1959, 1965, 2094, 2185, 2088],
-    [1959, 2073, 2207, 2088],
-    [1965, 2078, 2212, 2094],
-    [1958, 1964, 2093, 2184, 2087],
-    [1958, 1964, 2078, 2072],
-    [1958, 2072, 2206, 2087],
-    [1964, 2078, 2212, 2093],
-    [2183, 2267, 2268],
-    [2183, 2268, 2271],
-    [2183, 2267, 2271],
-    [2086, 2183, 2268, 2211],
-    [2086, 2211, 2220],
-    [2086, 2183, 2271, 2220],
-    [2085, 2183, 2267, 2210],
-    [2085, 2183, 2271, 2219],
-    [2085, 2210, 2219],
-    [1974, 1975, 2086, 2183, 2085],
-    [1974, 1975, 2104, 2103],
-    [1975, 2086, 2220, 2104],
-    [1974, 2085, 2219, 2103],
-    [2182, 2265, 2270],
-    [2182, 2265, 2266],
-    [2182, 2266, 2270],
-    [2082, 2182, 2266, 2209],
-    [2082, 2209, 2216],
-    [2082, 2182, 2270, 2216],
-    [2081, 2207, 2215],
-    [2081, 2182, 2265, 2207],
-    [2081, 2182, 2270, 2215],
-    [1968, 1969, 2082, 2182, 2081],
-    [1968, 2081, 2215, 2097],
-    [1968, 1969, 2098, 2097],
-    [1969, 2082, 2216, 2098],
-    [2181, 2263, 2264],
-    [2181, 2263, 2269],
-    [2181, 2264, 2269],
-    [2080, 2181, 2264, 2208],
-    [2080, 2181, 2269, 2214],
-    [2080, 2208, 2214],
-    [2079, 2206, 2213],
-    [2079, 2181, 2263, 2206],
-    [2079, 2181, 2269, 2213],
-    [1966, 1967, 2080, 2181, 2079],
-    [1966, 1967, 2096, 2095],
-    [1966, 2079, 2213, 2095],
-    [1967, 2080, 2214, 2096],
-    [2071, 2204, 2205],
-    [2071, 2183, 2268, 2205],
-    [2071, 2183, 2267, 2204],
-    [1951, 1957, 2077, 2070],
-    [1951, 1957, 2086, 2183, 2071],
-    [1957, 2077, 2211, 2086],
-    [1951, 2070, 2205, 2071],
-    [1950, 1956, 2085, 2183, 2071],
-    [1950, 1956, 2075, 2068],
-    [1950, 2068, 2204, 2071],
-    [1956, 2075, 2210, 2085],
-    [2066, 2182, 2265, 2201],
-    [2066, 2182, 2266, 2203],
-    [2066, 2201, 2203],
-    [1949, 1955, 2076, 2069],
-    [1949, 1955, 2082, 2182, 2066],
-    [1955, 2076, 2209, 2082],
-    [1949, 2066, 2203, 2069],
-    [1947, 1953, 2073, 2064],
-    [1947, 1953, 2081, 2182, 2066],
-    [1953, 2073, 2207, 2081],
-    [1947, 2064, 2201, 2066],
-    [2065, 2200, 2202],
-    [2065, 2181, 2263, 2200],
-    [2065, 2181, 2264, 2202],
-    [1948, 1954, 2080, 2181, 2065],
-    [1948, 1954, 2074, 2067],
-    [1948, 2065, 2202, 2067],
-    [1954, 2074, 2208, 2080],
-    [1946, 2063, 2200, 2065],
-    [1952, 2072, 2206, 2079],
-    [1946, 1952, 2072, 2063],
-    [1946, 1952, 2079, 2181, 2065],
-    [2180, 2261, 2262],
-    [2180, 2260, 2261],
-    [2180, 2260, 2262],
-    [2062, 2204, 2205],
-    [2062, 2180, 2261, 2204],
-    [2062, 2180, 2262, 2205],
-    [2061, 2180, 2262, 2203],
-    [2061, 2180, 2260, 2201],
-    [2061, 2201, 2203],
-    [1943, 1945, 2062, 2180, 2061],
-    [1943, 1945, 2070, 2069],
-    [1945, 2062, 2205, 2070],
-    [1943, 2061, 2203, 2069],
-    [2060, 2200, 2202],
-    [2060, 2180, 2261, 2202],
-    [2060, 2180, 2260, 2200],
-    [1944, 2062, 2204, 2068],
-    [1942, 1944, 2062, 2180, 2060],
-    [1942, 1944, 2068, 2067],
-    [1942, 2060, 2202, 2067],
-    [1940, 1941, 2061, 2180, 2060],
-    [1940, 1941, 2064, 2063],
-    [1940, 2060, 2200, 2063],
-    [1941, 2061, 2201, 2064],
-    [2174, 2179, 2259],
-    [2174, 2179, 2257],
-    [2053, 2059, 2179, 2174],
-    [2053, 2059, 2176],
-    [2173, 2178, 2258],
-    [2173, 2178, 2256],
-    [2052, 2058, 2175],
-    [2052, 2058, 2178, 2173],
-    [2051, 2057, 2179, 2174],
-    [2051, 2057, 2172],
-    [2050, 2056, 2178, 2173],
-    [2050, 2056, 2170],
-    [2168, 2177, 2254],
-    [2168, 2177, 2255],
-    [2049, 2055, 2177, 2168],
-    [2049, 2055, 2171],
-    [2048, 2054, 2177, 2168],
-    [2048, 2054, 2169],
-    [2152, 2160, 2253],
-    [2152, 2160, 2246],
-    [2041, 2047, 2160, 2152],
-    [2041, 2047, 2167],
-    [2151, 2158, 2252],
-    [2151, 2158, 2244],
-    [2040, 2046, 2166],
-    [2040, 2046, 2158, 2151],
-    [2150, 2159, 2245],
-    [2150, 2159, 2251],
-    [2039, 2045, 2165],
-    [2039, 2045, 2159, 2150],
-    [2149, 2157, 2250],
-    [2149, 2157, 2243],
-    [2038, 2044, 2163],
-    [2038, 2044, 2157, 2149],
-    [2148, 2154, 2240],
-    [2148, 2154, 2249],
-    [2037, 2043, 2154, 2148],
-    [2037, 2043, 2164],
-    [2147, 2153, 2239],
-    [2147, 2153, 2248],
-    [2036, 2042, 2153, 2147],
-    [2036, 2042, 2162],
-    [2145, 2146, 2247],
-    [2145, 2146, 2238],
-    [2034, 2035, 2161],
-    [2034, 2035, 2146, 2145],
-    [2023, 2033, 2160, 2152],
-    [2023, 2033, 2144],
-    [2022, 2032, 2143],
-    [2022, 2032, 2159, 2150],
-    [2021, 2031, 2158, 2151],
-    [2021, 2031, 2142],
-    [2020, 2030, 2157, 2149],
-    [2020, 2030, 2141],
-    [2139, 2140, 2242],
-    [2139, 2140, 2237],
-    [2028, 2029, 2156],
-    [2028, 2029, 2140, 2139],
-    [2137, 2138, 2241],
-    [2137, 2138, 2236],
-    [2026, 2027, 2155],
-    [2026, 2027, 2138, 2137],
-    [2019, 2025, 2136],
-    [2019, 2025, 2154, 2148],
-    [2018, 2024, 2153, 2147],
-    [2018, 2024, 2135],
-    [2015, 2017, 2146, 2145],
-    [2015, 2017, 2122],
-    [2010, 2012, 2140, 2139],
-    [2010, 2012, 2121],
-    [2007, 2009, 2138, 2137],
-    [2007, 2009, 2120],
-    [2115, 2134, 2229],
-    [2115, 2134, 2235],
-    [1999, 2016, 2134, 2115],
-    [1999, 2016, 2133],
-    [2113, 2132, 2228],
-    [2113, 2132, 2234],
-    [1997, 2014, 2132, 2113],
-    [1997, 2014, 2130],
-    [2112, 2129, 2233],
-    [2112, 2129, 2227],
-    [1998, 2013, 2131],
-    [1998, 2013, 2129, 2112],
-    [2110, 2127, 2226],
-    [2110, 2127, 2232],
-    [1996, 2011, 2127, 2110],
-    [1996, 2011, 2128],
-    [2107, 2126, 2231],
-    [2107, 2126, 2225],
-    [1995, 2008, 2125],
-    [1995, 2008, 2126, 2107],
-    [2105, 2124, 2230],
-    [2105, 2124, 2224],
-    [1994, 2006, 2124, 2105],
-    [1994, 2006, 2123],
-    [1993, 2005, 2134, 2115],
-    [1993, 2005, 2116],
-    [1991, 2004, 2114],
-    [1991, 2004, 2132, 2113],
-    [1988, 2003, 2129, 2112],
-    [1988, 2003, 2111],
-    [1986, 2001, 2108],
-    [1986, 2001, 2127, 2110],
-    [1985, 2002, 2126, 2107],
-    [1985, 2002, 2109],
-    [1983, 2000, 2124, 2105],
-    [1983, 2000, 2106],
-    [2101, 2102, 2218],
-    [2101, 2102, 2223],
-    [1990, 1992, 2102, 2101],
-    [1990, 1992, 2119],
-    [2099, 2100, 2217],
-    [2099, 2100, 2222],
-    [1987, 1989, 2100, 2099],
-    [1987, 1989, 2118],
-    [2093, 2094, 2212],
-    [2093, 2094, 2221],
-    [1982, 1984, 2094, 2093],
-    [1982, 1984, 2117],
-    [2086, 2092, 2211],
-    [2086, 2092, 2220],
-    [1975, 1981, 2092, 2086],
-    [1975, 1981, 2104],
-    [2085, 2091, 2219],
-    [2085, 2091, 2210],
-    [1974, 1980, 2103],
-    [1974, 1980, 2091, 2085],
-    [1972, 1973, 2084],
-    [1972, 1973, 2102, 2101],
-    [1970, 1971, 2083],
-    [1970, 1971, 2100, 2099],
-    [2082, 2090, 2209],
-    [2082, 2090, 2216],
-    [1969, 1979, 2090, 2082],
-    [1969, 1979, 2098],
-    [2081, 2088, 2207],
-    [2081, 2088, 2215],
-    [1968, 1978, 2088, 2081],
-    [1968, 1978, 2097],
-    [2080, 2089, 2208],
-    [2080, 2089, 2214],
-    [1967, 1977, 2096],
-    [1967, 1977, 2089, 2080],
-    [2079, 2087, 2206],
-    [2079, 2087, 2213],
-    [1966, 1976, 2087, 2079],
-    [1966, 1976, 2095],
-    [1964, 1965, 2078],
-    [1964, 1965, 2094, 2093],
-    [1957, 1963, 2092, 2086],
-    [1957, 1963, 2077],
-    [1956, 1962, 2091, 2085],
-    [1956, 1962, 2075],
-    [1955, 1961, 2076],
-    [1955, 1961, 2090, 2082],
-    [1954, 1960, 2074],
-    [1954, 1960, 2089, 2080],
-    [1953, 1959, 2073],
-    [1953, 1959, 2088, 2081],
-    [1952, 1958, 2087, 2079],
-    [1952, 1958, 2072],
-    [2062, 2071, 2205],
-    [2062, 2071, 2204],
-    [1945, 1951, 2071, 2062],
-    [1945, 1951, 2070],
-    [1944, 1950, 2071, 2062],
-    [1944, 1950, 2068],
-    [2061, 2066, 2201],
-    [2061, 2066, 2203],
-    [1943, 1949, 2066, 2061],
-    [1943, 1949, 2069],
-    [2060, 2065, 2200],
-    [2060, 2065, 2202],
-    [1942, 1948, 2065, 2060],
-    [1942, 1948, 2067],
-    [1941, 1947, 2064],
-    [1941, 1947, 2066, 2061],
-    [1940, 1946, 2065, 2060],
-    [1940, 1946, 2063],
-    [1639, 1697, 1874, 1875, 1698],
-    [1639, 1698, 1877, 1879, 1699],
-    [1639, 1697, 1876, 1878, 1699],
-    [1699, 1878, 2058, 2059, 1879],
-    [1697, 1874, 2054, 2056, 1876],
-    [1698, 1875, 2055, 2057, 1877],
-    [1876, 1878, 2058, 2178, 2056],
-    [1877, 1879, 2059, 2179, 2057],
-    [1874, 1875, 2055, 2177, 2054],
-    [1623, 1690, 1860, 1867, 1696],
-    [1623, 1695, 1872, 1873, 1696],
-    [1623, 1690, 1858, 1865, 1695],
-    [1690, 1858, 2032, 2033, 1860],
-    [1695, 1865, 2045, 2051, 1872],
-    [1696, 1867, 2047, 2053, 1873],
-    [1858, 1865, 2045, 2159, 2032],
-    [1860, 1867, 2047, 2160, 2033],
-    [1872, 1873, 2053, 2174, 2051],
-    [1622, 1689, 1857, 1866, 1694],
-    [1622, 1693, 1870, 1871, 1694],
-    [1622, 1689, 1855, 1864, 1693],
-    [1693, 1864, 2044, 2050, 1870],
-    [1694, 1866, 2046, 2052, 1871],
-    [1689, 1855, 2030, 2031, 1857],
-    [1870, 1871, 2052, 2173, 2050],
-    [1855, 1864, 2044, 2157, 2030],
-    [1857, 1866, 2046, 2158, 2031],
-    [1621, 1691, 1868, 1869, 1692],
-    [1621, 1688, 1850, 1862, 1691],
-    [1621, 1688, 1852, 1863, 1692],
-    [1688, 1850, 2024, 2025, 1852],
-    [1692, 1863, 2043, 2049, 1869],
-    [1691, 1862, 2042, 2048, 1868],
-    [1852, 1863, 2043, 2154, 2025],
-    [1850, 1862, 2042, 2153, 2024],
-    [1868, 1869, 2049, 2168, 2048],
-    [1596, 1675, 1825, 1831, 1681],
-    [1596, 1681, 1848, 1861, 1687],
-    [1596, 1675, 1837, 1849, 1687],
-    [1687, 1849, 2035, 2041, 1861],
-    [1675, 1825, 2005, 2017, 1837],
-    [1681, 1831, 2016, 2023, 1848],
-    [1837, 1849, 2035, 2146, 2017],
-    [1848, 1861, 2041, 2152, 2023],
-    [1825, 1831, 2016, 2134, 2005],
-    [1595, 1680, 1846, 1859, 1686],
-    [1595, 1674, 1836, 1847, 1686],
-    [1595, 1674, 1824, 1830, 1680],
-    [1674, 1824, 2004, 2015, 1836],
-    [1686, 1847, 2034, 2040, 1859],
-    [1680, 1830, 2014, 2021, 1846],
-    [1836, 1847, 2034, 2145, 2015],
-    [1824, 1830, 2014, 2132, 2004],
-    [1846, 1859, 2040, 2151, 2021],
-    [1594, 1679, 1845, 1856, 1685],
-    [1594, 1673, 1823, 1829, 1679],
-    [1594, 1673, 1835, 1844, 1685],
-    [1679, 1829, 2013, 2022, 1845],
-    [1685, 1844, 2029, 2039, 1856],
-    [1673, 1823, 2003, 2012, 1835],
-    [1845, 1856, 2039, 2150, 2022],
-    [1823, 1829, 2013, 2129, 2003],
-    [1835, 1844, 2029, 2140, 2012],
-    [1593, 1671, 1833, 1841, 1683],
-    [1593, 1678, 1843, 1854, 1683],
-    [1593, 1671, 1822, 1828, 1678],
-    [1671, 1822, 2001, 2009, 1833],
-    [1678, 1828, 2011, 2020, 1843],
-    [1683, 1841, 2027, 2038, 1854],
-    [1833, 1841, 2027, 2138, 2009],
-    [1822, 1828, 2011, 2127, 2001],
-    [1843, 1854, 2038, 2149, 2020],
-    [1592, 1677, 1840, 1853, 1684],
-    [1592, 1672, 1821, 1827, 1677],
-    [1592, 1672, 1834, 1842, 1684],
-    [1684, 1842, 2028, 2037, 1853],
-    [1672, 1821, 2002, 2010, 1834],
-    [1677, 1827, 2008, 2019, 1840],
-    [1840, 1853, 2037, 2148, 2019],
-    [1834, 1842, 2028, 2139, 2010],
-    [1821, 1827, 2008, 2126, 2002],
-    [1591, 1670, 1820, 1826, 1676],
-    [1591, 1676, 1838, 1851, 1682],
-    [1591, 1670, 1832, 1839, 1682],
-    [1682, 1839, 2026, 2036, 1851],
-    [1670, 1820, 2000, 2007, 1832],
-    [1676, 1826, 2006, 2018, 1838],
-    [1832, 1839, 2026, 2137, 2007],
-    [1838, 1851, 2036, 2147, 2018],
-    [1820, 1826, 2006, 2124, 2000],
-    [1548, 1663, 1813, 1819, 1669],
-    [1548, 1657, 1788, 1801, 1663],
-    [1548, 1657, 1800, 1807, 1669],
-    [1657, 1788, 1963, 1973, 1800],
-    [1669, 1807, 1992, 1999, 1819],
-    [1663, 1801, 1981, 1993, 1813],
-    [1800, 1807, 1992, 2102, 1973],
-    [1788, 1801, 1981, 2092, 1963],
-    [1813, 1819, 1999, 2115, 1993],
-    [1547, 1655, 1786, 1799, 1662],
-    [1547, 1662, 1812, 1818, 1667],
-    [1547, 1655, 1797, 1805, 1667],
-    [1655, 1786, 1962, 1971, 1797],
-    [1667, 1805, 1989, 1997, 1818],
-    [1662, 1799, 1980, 1991, 1812],
-    [1786, 1799, 1980, 2091, 1962],
-    [1797, 1805, 1989, 2100, 1971],
-    [1812, 1818, 1997, 2113, 1991],
-    [1546, 1656, 1798, 1806, 1668],
-    [1546, 1656, 1785, 1796, 1661],
-    [1546, 1661, 1811, 1817, 1668],
-    [1668, 1806, 1990, 1998, 1817],
-    [1661, 1796, 1979, 1988, 1811],
-    [1656, 1785, 1961, 1972, 1798],
-    [1798, 1806, 1990, 2101, 1972],
-    [1811, 1817, 1998, 2112, 1988],
-    [1785, 1796, 1979, 2090, 1961],
-    [1545, 1654, 1783, 1794, 1660],
-    [1545, 1654, 1795, 1804, 1666],
-    [1545, 1660, 1810, 1816, 1666],
-    [1654, 1783, 1960, 1970, 1795],
-    [1660, 1794, 1977, 1986, 1810],
-    [1666, 1804, 1987, 1996, 1816],
-    [1783, 1794, 1977, 2089, 1960],
-    [1795, 1804, 1987, 2099, 1970],
-    [1810, 1816, 1996, 2110, 1986],
-    [1544, 1653, 1780, 1793, 1659],
-    [1544, 1653, 1792, 1803, 1665],
-    [1544, 1659, 1809, 1815, 1665],
-    [1665, 1803, 1984, 1995, 1815],
-    [1653, 1780, 1959, 1965, 1792],
-    [1659, 1793, 1978, 1985, 1809],
-    [1792, 1803, 1984, 2094, 1965],
-    [1809, 1815, 1995, 2107, 1985],
-    [1780, 1793, 1978, 2088, 1959],
-    [1543, 1658, 1808, 1814, 1664],
-    [1543, 1652, 1778, 1791, 1658],
-    [1543, 1652, 1790, 1802, 1664],
-    [1652, 1778, 1958, 1964, 1790],
-    [1664, 1802, 1982, 1994, 1814],
-    [1658, 1791, 1976, 1983, 1808],
-    [1790, 1802, 1982, 2093, 1964],
-    [1778, 1791, 1976, 2087, 1958],
-    [1808, 1814, 1994, 2105, 1983],
-    [1518, 1647, 1770, 1771, 1648],
-    [1518, 1648, 1777, 1789, 1651],
-    [1518, 1647, 1776, 1787, 1651],
-    [1651, 1787, 1974, 1975, 1789],
-    [1647, 1770, 1950, 1956, 1776],
-    [1648, 1771, 1951, 1957, 1777],
-    [1776, 1787, 1974, 2085, 1956],
-    [1777, 1789, 1975, 2086, 1957],
-    [1770, 1771, 1951, 2071, 1950],
-    [1517, 1645, 1773, 1782, 1650],
-    [1517, 1645, 1768, 1769, 1646],
-    [1517, 1646, 1775, 1784, 1650],
-    [1646, 1769, 1949, 1955, 1775],
-    [1645, 1768, 1947, 1953, 1773],
-    [1650, 1782, 1968, 1969, 1784],
-    [1768, 1769, 1949, 2066, 1947],
-    [1775, 1784, 1969, 2082, 1955],
-    [1773, 1782, 1968, 2081, 1953],
-    [1516, 1643, 1766, 1767, 1644],
-    [1516, 1643, 1772, 1779, 1649],
-    [1516, 1644, 1774, 1781, 1649],
-    [1644, 1767, 1948, 1954, 1774],
-    [1649, 1779, 1966, 1967, 1781],
-    [1643, 1766, 1946, 1952, 1772],
-    [1774, 1781, 1967, 2080, 1954],
-    [1766, 1767, 1948, 2065, 1946],
-    [1772, 1779, 1966, 2079, 1952],
-    [1500, 1641, 1764, 1765, 1642],
-    [1500, 1640, 1760, 1762, 1641],
-    [1500, 1640, 1761, 1763, 1642],
-    [1640, 1760, 1940, 1941, 1761],
-    [1642, 1763, 1943, 1945, 1765],
-    [1641, 1762, 1942, 1944, 1764],
-    [1761, 1763, 1943, 2061, 1941],
-    [1760, 1762, 1942, 2060, 1940],
-    [1764, 1765, 1945, 2062, 1944],
-    [1872, 1873, 1879, 1877],
-    [1873, 1879, 2059, 2053],
-    [1872, 1877, 2057, 2051],
-    [1870, 1871, 1878, 1876],
-    [1871, 1878, 2058, 2052],
-    [1870, 1876, 2056, 2050],
-    [1868, 1869, 1875, 1874],
-    [1868, 1874, 2054, 2048],
-    [1869, 1875, 2055, 2049],
-    [1927, 1932, 1938, 1939, 1933],
-    [1927, 1933, 2167, 2161],
-    [1938, 1939, 2176, 2175],
-    [1927, 1932, 2166, 2161],
-    [1932, 1938, 2175, 2166],
-    [1933, 1939, 2176, 2167],
-    [1938, 1939, 2059, 2058],
-    [1938, 2058, 2175],
-    [1939, 2059, 2176],
-    [1933, 1939, 2053, 2047],
-    [1933, 2047, 2167],
-    [1939, 2053, 2176],
-    [1939, 2053, 2059],
-    [1932, 1938, 2052, 2046],
-    [1932, 2046, 2166],
-    [1938, 2052, 2175],
-    [1938, 2052, 2058],
-    [1926, 1930, 1936, 1937, 1931],
-    [1931, 1937, 2172, 2165],
-    [1930, 1936, 2171, 2164],
-    [1926, 1930, 2164, 2156],
-    [1926, 1931, 2165, 2156],
-    [1936, 1937, 2172, 2171],
-    [1936, 1937, 2057, 2055],
-    [1937, 2057, 2172],
-    [1936, 2055, 2171],
-    [1931, 1937, 2051, 2045],
-    [1931, 2045, 2165],
-    [1937, 2051, 2172],
-    [1937, 2051, 2057],
-    [1930, 1936, 2049, 2043],
-    [1930, 2043, 2164],
-    [1936, 2049, 2171],
-    [1936, 2049, 2055],
-    [1925, 1928, 1934, 1935, 1929],
-    [1925, 1928, 2162, 2155],
-    [1934, 1935, 2170, 2169],
-    [1929, 1935, 2170, 2163],
-    [1925, 1929, 2163, 2155],
-    [1928, 1934, 2169, 2162],
-    [1934, 1935, 2056, 2054],
-    [1935, 2056, 2170],
-    [1934, 2054, 2169],
-    [1929, 1935, 2050, 2044],
-    [1929, 2044, 2163],
-    [1935, 2050, 2170],
-    [1935, 2050, 2056],
-    [1928, 1934, 2048, 2042],
-    [1928, 2042, 2162],
-    [1934, 2048, 2169],
-    [1934, 2048, 2054],
-    [1927, 1933, 2041, 2035],
-    [1927, 2035, 2161],
-    [1933, 2041, 2167],
-    [1933, 2041, 2047],
-    [1927, 1932, 2040, 2034],
-    [1932, 2040, 2166],
-    [1927, 2034, 2161],
-    [1932, 2040, 2046],
-    [1926, 1931, 2039, 2029],
-    [1926, 2029, 2156],
-    [1931, 2039, 2165],
-    [1931, 2039, 2045],
-    [1926, 1930, 2037, 2028],
-    [1926, 2028, 2156],
-    [1930, 2037, 2164],
-    [1930, 2037, 2043],
-    [1925, 1929, 2038, 2027],
-    [1929, 2038, 2163],
-    [1925, 2027, 2155],
-    [1929, 2038, 2044],
-    [1925, 1928, 2036, 2026],
-    [1925, 2026, 2155],
-    [1928, 2036, 2162],
-    [1928, 2036, 2042],
-    [1927, 2034, 2035],
-    [1848, 1860, 1867, 1861],
-    [1861, 1867, 2047, 2041],
-    [1848, 1860, 2033, 2023],
-    [1845, 1858, 2032, 2022],
-    [1856, 1865, 2045, 2039],
-    [1845, 1856, 1865, 1858],
-    [1846, 1857, 1866, 1859],
-    [1859, 1866, 2046, 2040],
-    [1846, 1857, 2031, 2021],
-    [1843, 1854, 1864, 1855],
-    [1854, 1864, 2044, 2038],
-    [1843, 1855, 2030, 2020],
-    [1926, 2028, 2029],
-    [1925, 2026, 2027],
-    [1840, 1852, 1863, 1853],
-    [1840, 1852, 2025, 2019],
-    [1853, 1863, 2043, 2037],
-    [1838, 1850, 1862, 1851],
-    [1838, 1850, 2024, 2018],
-    [1851, 1862, 2042, 2036],
-    [1836, 1837, 1849, 1847],
-    [1847, 1849, 2035, 2034],
-    [1836, 1837, 2017, 2015],
-    [1911, 1917, 1923, 1924, 1918],
-    [1923, 1924, 2144, 2143],
-    [1911, 1918, 2133, 2119],
-    [1911, 1917, 2131, 2119],
-    [1917, 1923, 2143, 2131],
-    [1918, 1924, 2144, 2133],
-    [1923, 1924, 2033, 2032],
-    [1923, 2032, 2143],
-    [1924, 2033, 2144],
-    [1918, 1924, 2023, 2016],
-    [1924, 2023, 2144],
-    [1918, 2016, 2133],
-    [1924, 2023, 2033],
-    [1917, 1923, 2022, 2013],
-    [1917, 2013, 2131],
-    [1923, 2022, 2143],
-    [1923, 2022, 2032],
-    [1910, 1916, 2130, 2118],
-    [1915, 1921, 2141, 2128],
-    [1910, 1915, 1921, 1922, 1916],
-    [1910, 1915, 2128, 2118],
-    [1916, 1922, 2142, 2130],
-    [1921, 1922, 2142, 2141],
-    [1921, 1922, 2031, 2030],
-    [1921, 2030, 2141],
-    [1922, 2031, 2142],
-    [1916, 1922, 2021, 2014],
-    [1916, 2014, 2130],
-    [1922, 2021, 2142],
-    [1922, 2021, 2031],
-    [1915, 1921, 2020, 2011],
-    [1915, 2011, 2128],
-    [1921, 2020, 2141],
-    [1921, 2020, 2030],
-    [1834, 1835, 1844, 1842],
-    [1842, 1844, 2029, 2028],
-    [1834, 1835, 2012, 2010],
-    [1832, 1833, 1841, 1839],
-    [1839, 1841, 2027, 2026],
-    [1832, 1833, 2009, 2007],
-    [1907, 1913, 1919, 1920, 1914],
-    [1919, 1920, 2136, 2135],
-    [1907, 1913, 2123, 2117],
-    [1907, 1914, 2125, 2117],
-    [1914, 1920, 2136, 2125],
-    [1913, 1919, 2135, 2123],
-    [1919, 1920, 2025, 2024],
-    [1920, 2025, 2136],
-    [1919, 2024, 2135],
-    [1914, 1920, 2019, 2008],
-    [1914, 2008, 2125],
-    [1920, 2019, 2136],
-    [1920, 2019, 2025],
-    [1913, 1919, 2018, 2006],
-    [1919, 2018, 2135],
-    [1913, 2006, 2123],
-    [1919, 2018, 2024],
-    [1813, 1819, 1831, 1825],
-    [1813, 1825, 2005, 1993],
-    [1819, 1831, 2016, 1999],
-    [1911, 1918, 1999, 1992],
-    [1911, 1992, 2119],
-    [1918, 1999, 2133],
-    [1918, 1999, 2016],
-    [1812, 1818, 1830, 1824],
-    [1812, 1824, 2004, 1991],
-    [1818, 1830, 2014, 1997],
-    [1911, 1917, 1998, 1990],
-    [1917, 1998, 2131],
-    [1911, 1990, 2119],
-    [1917, 1998, 2013],
-    [1910, 1916, 1997, 1989],
-    [1910, 1989, 2118],
-    [1916, 1997, 2130],
-    [1916, 1997, 2014],
-    [1811, 1817, 1829, 1823],
-    [1817, 1829, 2013, 1998],
-    [1811, 1823, 2003, 1988],
-    [1910, 1915, 1996, 1987],
-    [1910, 1987, 2118],
-    [1915, 1996, 2128],
-    [1915, 1996, 2011],
-    [1810, 1816, 1828, 1822],
-    [1810, 1822, 2001, 1986],
-    [1816, 1828, 2011, 1996],
-    [1809, 1815, 1827, 1821],
-    [1815, 1827, 2008, 1995],
-    [1809, 1821, 2002, 1985],
-    [1907, 1914, 1995, 1984],
-    [1914, 1995, 2125],
-    [1907, 1984, 2117],
-    [1914, 1995, 2008],
-    [1808, 1814, 1826, 1820],
-    [1814, 1826, 2006, 1994],
-    [1808, 1820, 2000, 1983],
-    [1907, 1913, 1994, 1982],
-    [1907, 1982, 2117],
-    [1913, 1994, 2123],
-    [1913, 1994, 2006],
-    [1899, 1900, 1906, 1912, 1905],
-    [1899, 1900, 2104, 2103],
-    [1906, 1912, 2122, 2116],
-    [1905, 1912, 2122, 2114],
-    [1899, 1905, 2114, 2103],
-    [1900, 1906, 2116, 2104],
-    [1906, 1912, 2017, 2005],
-    [1912, 2017, 2122],
-    [1906, 2005, 2116],
-    [1905, 1912, 2015, 2004],
-    [1905, 2004, 2114],
-    [1912, 2015, 2122],
-    [1912, 2015, 2017],
-    [1898, 1904, 2111, 2098],
-    [1903, 1909, 2121, 2109],
-    [1897, 1898, 1904, 1909, 1903],
-    [1904, 1909, 2121, 2111],
-    [1897, 1898, 2098, 2097],
-    [1897, 1903, 2109, 2097],
-    [1904, 1909, 2012, 2003],
-    [1904, 2003, 2111],
-    [1909, 2012, 2121],
-    [1903, 1909, 2010, 2002],
-    [1909, 2010, 2121],
-    [1903, 2002, 2109],
-    [1909, 2010, 2012],
-    [1895, 1896, 1902, 1908, 1901],
-    [1895, 1896, 2096, 2095],
-    [1901, 1908, 2120, 2106],
-    [1902, 1908, 2120, 2108],
-    [1896, 1902, 2108, 2096],
-    [1895, 1901, 2106, 2095],
-    [1902, 1908, 2009, 2001],
-    [1902, 2001, 2108],
-    [1908, 2009, 2120],
-    [1901, 1908, 2007, 2000],
-    [1908, 2007, 2120],
-    [1901, 2000, 2106],
-    [1908, 2007, 2009],
-    [1911, 1990, 1992],
-    [1910, 1987, 1989],
-    [1907, 1982, 1984],
-    [1900, 1906, 1993, 1981],
-    [1900, 1981, 2104],
-    [1906, 1993, 2116],
-    [1906, 1993, 2005],
-    [1899, 1905, 1991, 1980],
-    [1905, 1991, 2114],
-    [1899, 1980, 2103],
-    [1905, 1991, 2004],
-    [1898, 1904, 1988, 1979],
-    [1904, 1988, 2111],
-    [1898, 1979, 2098],
-    [1904, 1988, 2003],
-    [1897, 1903, 1985, 1978],
-    [1903, 1985, 2109],
-    [1897, 1978, 2097],
-    [1903, 1985, 2002],
-    [1896, 1902, 1986, 1977],
-    [1902, 1986, 2108],
-    [1896, 1977, 2096],
-    [1902, 1986, 2001],
-    [1895, 1901, 1983, 1976],
-    [1895, 1976, 2095],
-    [1901, 1983, 2106],
-    [1901, 1983, 2000],
-    [1899, 1900, 1975, 1974],
-    [1899, 1974, 2103],
-    [1900, 1975, 2104],
-    [1900, 1975, 1981],
-    [1899, 1974, 1980],
-    [1798, 1800, 1807, 1806],
-    [1798, 1800, 1973, 1972],
-    [1806, 1807, 1992, 1990],
-    [1795, 1797, 1805, 1804],
-    [1795, 1797, 1971, 1970],
-    [1804, 1805, 1989, 1987],
-    [1897, 1898, 1969, 1968],
-    [1898, 1969, 2098],
-    [1897, 1968, 2097],
-    [1898, 1969, 1979],
-    [1897, 1968, 1978],
-    [1895, 1896, 1967, 1966],
-    [1896, 1967, 2096],
-    [1895, 1966, 2095],
-    [1896, 1967, 1977],
-    [1895, 1966, 1976],
-    [1790, 1792, 1803, 1802],
-    [1790, 1792, 1965, 1964],
-    [1802, 1803, 1984, 1982],
-    [1777, 1788, 1801, 1789],
-    [1777, 1788, 1963, 1957],
-    [1789, 1801, 1981, 1975],
-    [1776, 1786, 1799, 1787],
-    [1787, 1799, 1980, 1974],
-    [1776, 1786, 1962, 1956],
-    [1775, 1784, 1796, 1785],
-    [1775, 1785, 1961, 1955],
-    [1784, 1796, 1979, 1969],
-    [1774, 1783, 1960, 1954],
-    [1781, 1794, 1977, 1967],
-    [1774, 1781, 1794, 1783],
-    [1773, 1780, 1793, 1782],
-    [1773, 1780, 1959, 1953],
-    [1782, 1793, 1978, 1968],
-    [1772, 1778, 1791, 1779],
-    [1772, 1778, 1958, 1952],
-    [1779, 1791, 1976, 1966],
-    [1884, 1885, 1891, 1894, 1890],
-    [1891, 1894, 2084, 2077],
-    [1884, 1885, 2070, 2069],
-    [1884, 1890, 2076, 2069],
-    [1890, 1894, 2084, 2076],
-    [1885, 1891, 2077, 2070],
-    [1891, 1894, 1973, 1963],
-    [1894, 1973, 2084],
-    [1891, 1963, 2077],
-    [1890, 1894, 1972, 1961],
-    [1890, 1961, 2076],
-    [1894, 1972, 2084],
-    [1894, 1972, 1973],
-    [1882, 1883, 1889, 1893, 1888],
-    [1882, 1888, 2074, 2067],
-    [1883, 1889, 2075, 2068],
-    [1889, 1893, 2083, 2075],
-    [1888, 1893, 2083, 2074],
-    [1882, 1883, 2068, 2067],
-    [1889, 1893, 1971, 1962],
-    [1893, 1971, 2083],
-    [1889, 1962, 2075],
-    [1888, 1893, 1970, 1960],
-    [1893, 1970, 2083],
-    [1888, 1960, 2074],
-    [1893, 1970, 1971],
-    [1880, 1881, 1887, 1892, 1886],
-    [1880, 1881, 2064, 2063],
-    [1886, 1892, 2078, 2072],
-    [1881, 1887, 2073, 2064],
-    [1887, 1892, 2078, 2073],
-    [1880, 1886, 2072, 2063],
-    [1887, 1892, 1965, 1959],
-    [1887, 1959, 2073],
-    [1892, 1965, 2078],
-    [1886, 1892, 1964, 1958],
-    [1892, 1964, 2078],
-    [1886, 1958, 2072],
-    [1892, 1964, 1965],
-    [1885, 1891, 1957, 1951],
-    [1891, 1957, 2077],
-    [1885, 1951, 2070],
-    [1891, 1957, 1963],
-    [1884, 1890, 1955, 1949],
-    [1890, 1955, 2076],
-    [1884, 1949, 2069],
-    [1890, 1955, 1961],
-    [1883, 1889, 1956, 1950],
-    [1889, 1956, 2075],
-    [1883, 1950, 2068],
-    [1889, 1956, 1962],
-    [1882, 1888, 1954, 1948],
-    [1888, 1954, 2074],
-    [1882, 1948, 2067],
-    [1888, 1954, 1960],
-    [1881, 1887, 1953, 1947],
-    [1887, 1953, 2073],
-    [1881, 1947, 2064],
-    [1887, 1953, 1959],
-    [1880, 1886, 1952, 1946],
-    [1886, 1952, 2072],
-    [1880, 1946, 2063],
-    [1886, 1952, 1958],
-    [1764, 1765, 1771, 1770],
-    [1765, 1771, 1951, 1945],
-    [1764, 1770, 1950, 1944],
-    [1884, 1885, 1945, 1943],
-    [1884, 1943, 2069],
-    [1885, 1945, 2070],
-    [1885, 1945, 1951],
-    [1884, 1943, 1949],
-    [1882, 1883, 1944, 1942],
-    [1882, 1942, 2067],
-    [1883, 1944, 2068],
-    [1883, 1944, 1950],
-    [1882, 1942, 1948],
-    [1761, 1763, 1769, 1768],
-    [1761, 1768, 1947, 1941],
-    [1763, 1769, 1949, 1943],
-    [1760, 1762, 1767, 1766],
-    [1760, 1766, 1946, 1940],
-    [1762, 1767, 1948, 1942],
-    [1880, 1881, 1941, 1940],
-    [1881, 1941, 2064],
-    [1880, 1940, 2063],
-    [1881, 1941, 1947],
-    [1880, 1940, 1946],
-    [1638, 1699, 1878, 1758],
-    [1638, 1699, 1879, 1759],
-    [1638, 1758, 1938, 1939, 1759],
-    [1758, 1878, 2058, 1938],
-    [1759, 1879, 2059, 1939],
-    [1759, 1873, 1879],
-    [1759, 1873, 2053, 1939],
-    [1758, 1871, 1878],
-    [1758, 1871, 2052, 1938],
-    [1633, 1698, 1877, 1757],
-    [1633, 1698, 1875, 1755],
-    [1633, 1755, 1936, 1937, 1757],
-    [1757, 1877, 2057, 1937],
-    [1755, 1875, 2055, 1936],
-    [1757, 1872, 1877],
-    [1757, 1872, 2051, 1937],
-    [1632, 1697, 1876, 1756],
-    [1632, 1697, 1874, 1754],
-    [1632, 1754, 1934, 1935, 1756],
-    [1756, 1876, 2056, 1935],
-    [1754, 1874, 2054, 1934],
-    [1756, 1870, 1876],
-    [1756, 1870, 2050, 1935],
-    [1755, 1869, 1875],
-    [1755, 1869, 2049, 1936],
-    [1754, 1868, 1874],
-    [1754, 1868, 2048, 1934],
-    [1629, 1696, 1867, 1753],
-    [1629, 1696, 1873, 1759],
-    [1629, 1753, 1933, 1939, 1759],
-    [1753, 1867, 2047, 1933],
-    [1628, 1694, 1871, 1758],
-    [1628, 1694, 1866, 1752],
-    [1628, 1752, 1932, 1938, 1758],
-    [1752, 1866, 2046, 1932],
-    [1627, 1695, 1872, 1757],
-    [1627, 1695, 1865, 1751],
-    [1627, 1751, 1931, 1937, 1757],
-    [1751, 1865, 2045, 1931],
-    [1626, 1693, 1870, 1756],
-    [1626, 1693, 1864, 1750],
-    [1626, 1750, 1929, 1935, 1756],
-    [1750, 1864, 2044, 1929],
-    [1625, 1692, 1863, 1749],
-    [1625, 1692, 1869, 1755],
-    [1625, 1749, 1930, 1936, 1755],
-    [1749, 1863, 2043, 1930],
-    [1624, 1691, 1862, 1748],
-    [1624, 1691, 1868, 1754],
-    [1624, 1748, 1928, 1934, 1754],
-    [1748, 1862, 2042, 1928],
-    [1753, 1861, 1867],
-    [1753, 1861, 2041, 1933],
-    [1752, 1859, 1866],
-    [1752, 1859, 2040, 1932],
-    [1751, 1856, 1865],
-    [1751, 1856, 2039, 1931],
-    [1750, 1854, 2038, 1929],
-    [1750, 1854, 1864],
-    [1749, 1853, 1863],
-    [1749, 1853, 2037, 1930],
-    [1748, 1851, 1862],
-    [1748, 1851, 2036, 1928],
-    [1620, 1687, 1849, 1747],
-    [1620, 1687, 1861, 1753],
-    [1620, 1747, 1927, 1933, 1753],
-    [1747, 1849, 2035, 1927],
-    [1618, 1686, 1847, 1747],
-    [1618, 1686, 1859, 1752],
-    [1618, 1747, 1927, 1932, 1752],
-    [1747, 1847, 2034, 1927],
-    [1615, 1685, 1856, 1751],
-    [1615, 1685, 1844, 1746],
-    [1615, 1746, 1926, 1931, 1751],
-    [1746, 1844, 2029, 1926],
-    [1612, 1683, 1841, 1745],
-    [1612, 1683, 1854, 1750],
-    [1612, 1745, 1925, 1929, 1750],
-    [1745, 1841, 2027, 1925],
-    [1613, 1684, 1853, 1749],
-    [1613, 1684, 1842, 1746],
-    [1613, 1746, 1926, 1930, 1749],
-    [1746, 1842, 2028, 1926],
-    [1610, 1745, 1925, 1928, 1748],
-    [1610, 1682, 1851, 1748],
-    [1610, 1682, 1839, 1745],
-    [1745, 1839, 2026, 1925],
-    [1747, 1847, 1849],
-    [1601, 1690, 1860, 1744],
-    [1601, 1690, 1858, 1743],
-    [1601, 1743, 1923, 1924, 1744],
-    [1744, 1860, 2033, 1924],
-    [1743, 1858, 2032, 1923],
-    [1744, 1848, 1860],
-    [1744, 1848, 2023, 1924],
-    [1743, 1845, 1858],
-    [1743, 1845, 2022, 1923],
-    [1600, 1689, 1857, 1742],
-    [1600, 1689, 1855, 1741],
-    [1600, 1741, 1921, 1922, 1742],
-    [1742, 1857, 2031, 1922],
-    [1741, 1855, 2030, 1921],
-    [1742, 1846, 1857],
-    [1742, 1846, 2021, 1922],
-    [1741, 1843, 1855],
-    [1741, 1843, 2020, 1921],
-    [1746, 1842, 1844],
-    [1745, 1839, 1841],
-    [1597, 1739, 1919, 1920, 1740],
-    [1597, 1688, 1850, 1739],
-    [1597, 1688, 1852, 1740],
-    [1739, 1850, 2024, 1919],
-    [1740, 1852, 2025, 1920],
-    [1740, 1840, 1852],
-    [1740, 1840, 2019, 1920],
-    [1739, 1838, 1850],
-    [1739, 1838, 2018, 1919],
-    [1589, 1681, 1848, 1744],
-    [1589, 1681, 1831, 1737],
-    [1589, 1737, 1918, 1924, 1744],
-    [1737, 1831, 2016, 1918],
-    [1588, 1679, 1845, 1743],
-    [1588, 1679, 1829, 1736],
-    [1588, 1736, 1917, 1923, 1743],
-    [1736, 1829, 2013, 1917],
-    [1587, 1680, 1846, 1742],
-    [1587, 1680, 1830, 1735],
-    [1587, 1735, 1916, 1922, 1742],
-    [1735, 1830, 2014, 1916],
-    [1586, 1678, 1843, 1741],
-    [1586, 1678, 1828, 1734],
-    [1586, 1734, 1915, 1921, 1741],
-    [1734, 1828, 2011, 1915],
-    [1583, 1677, 1840, 1740],
-    [1583, 1677, 1827, 1731],
-    [1583, 1731, 1914, 1920, 1740],
-    [1731, 1827, 2008, 1914],
-    [1582, 1676, 1838, 1739],
-    [1582, 1676, 1826, 1730],
-    [1582, 1730, 1913, 1919, 1739],
-    [1730, 1826, 2006, 1913],
-    [1738, 1836, 1837],
-    [1738, 1837, 2017, 1912],
-    [1738, 1836, 2015, 1912],
-    [1581, 1675, 1837, 1738],
-    [1581, 1675, 1825, 1729],
-    [1581, 1729, 1906, 1912, 1738],
-    [1729, 1825, 2005, 1906],
-    [1737, 1819, 1831],
-    [1737, 1819, 1999, 1918],
-    [1579, 1674, 1836, 1738],
-    [1579, 1674, 1824, 1728],
-    [1579, 1728, 1905, 1912, 1738],
-    [1728, 1824, 2004, 1905],
-    [1735, 1818, 1830],
-    [1735, 1818, 1997, 1916],
-    [1736, 1817, 1829],
-    [1736, 1817, 1998, 1917],
-    [1733, 1834, 1835],
-    [1733, 1835, 2012, 1909],
-    [1733, 1834, 2010, 1909],
-    [1576, 1673, 1823, 1725],
-    [1576, 1673, 1835, 1733],
-    [1576, 1725, 1904, 1909, 1733],
-    [1725, 1823, 2003, 1904],
-    [1734, 1816, 1828],
-    [1734, 1816, 1996, 1915],
-    [1574, 1672, 1834, 1733],
-    [1574, 1724, 1903, 1909, 1733],
-    [1574, 1672, 1821, 1724],
-    [1724, 1821, 2002, 1903],
-    [1732, 1832, 1833],
-    [1732, 1832, 2007, 1908],
-    [1732, 1833, 2009, 1908],
-    [1573, 1671, 1833, 1732],
-    [1573, 1671, 1822, 1723],
-    [1573, 1723, 1902, 1908, 1732],
-    [1723, 1822, 2001, 1902],
-    [1731, 1815, 1827],
-    [1731, 1815, 1995, 1914],
-    [1571, 1670, 1832, 1732],
-    [1571, 1670, 1820, 1722],
-    [1571, 1722, 1901, 1908, 1732],
-    [1722, 1820, 2000, 1901],
-    [1730, 1814, 1826],
-    [1730, 1814, 1994, 1913],
-    [1729, 1813, 1825],
-    [1729, 1813, 1993, 1906],
-    [1728, 1812, 1991, 1905],
-    [1728, 1812, 1824],
-    [1725, 1811, 1823],
-    [1725, 1811, 1988, 1904],
-    [1724, 1809, 1985, 1903],
-    [1724, 1809, 1821],
-    [1723, 1810, 1986, 1902],
-    [1723, 1810, 1822],
-    [1722, 1808, 1820],
-    [1722, 1808, 1983, 1901],
-    [1568, 1669, 1807, 1727],
-    [1568, 1669, 1819, 1737],
-    [1568, 1727, 1911, 1918, 1737],
-    [1727, 1807, 1992, 1911],
-    [1566, 1668, 1806, 1727],
-    [1566, 1668, 1817, 1736],
-    [1566, 1727, 1911, 1917, 1736],
-    [1727, 1806, 1990, 1911],
-    [1565, 1667, 1805, 1726],
-    [1565, 1726, 1910, 1916, 1735],
-    [1565, 1667, 1818, 1735],
-    [1726, 1805, 1989, 1910],
-    [1563, 1666, 1804, 1726],
-    [1563, 1666, 1816, 1734],
-    [1563, 1726, 1910, 1915, 1734],
-    [1726, 1804, 1987, 1910],
-    [1560, 1665, 1803, 1721],
-    [1560, 1665, 1815, 1731],
-    [1560, 1721, 1907, 1914, 1731],
-    [1721, 1803, 1984, 1907],
-    [1558, 1664, 1802, 1721],
-    [1558, 1664, 1814, 1730],
-    [1558, 1721, 1907, 1913, 1730],
-    [1721, 1802, 1982, 1907],
-    [1557, 1663, 1801, 1720],
-    [1557, 1663, 1813, 1729],
-    [1557, 1720, 1900, 1906, 1729],
-    [1720, 1801, 1981, 1900],
-    [1727, 1806, 1807],
-    [1556, 1662, 1799, 1719],
-    [1556, 1662, 1812, 1728],
-    [1556, 1719, 1899, 1905, 1728],
-    [1719, 1799, 1980, 1899],
-    [1726, 1804, 1805],
-    [1553, 1661, 1796, 1718],
-    [1553, 1661, 1811, 1725],
-    [1553, 1718, 1898, 1904, 1725],
-    [1718, 1796, 1979, 1898],
-    [1551, 1660, 1794, 1716],
-    [1551, 1660, 1810, 1723],
-    [1551, 1716, 1896, 1902, 1723],
-    [1716, 1794, 1977, 1896],
-    [1552, 1659, 1793, 1717],
-    [1552, 1659, 1809, 1724],
-    [1552, 1717, 1897, 1903, 1724],
-    [1717, 1793, 1978, 1897],
-    [1721, 1802, 1803],
-    [1550, 1658, 1791, 1715],
-    [1550, 1658, 1808, 1722],
-    [1550, 1715, 1895, 1901, 1722],
-    [1715, 1791, 1976, 1895],
-    [1720, 1789, 1801],
-    [1720, 1789, 1975, 1900],
-    [1719, 1787, 1799],
-    [1719, 1787, 1974, 1899],
-    [1718, 1784, 1969, 1898],
-    [1718, 1784, 1796],
-    [1717, 1782, 1793],
-    [1717, 1782, 1968, 1897],
-    [1716, 1781, 1794],
-    [1716, 1781, 1967, 1896],
-    [1715, 1779, 1791],
-    [1715, 1779, 1966, 1895],
-    [1542, 1719, 1899, 1900, 1720],
-    [1542, 1651, 1789, 1720],
-    [1542, 1651, 1787, 1719],
-    [1714, 1798, 1800],
-    [1714, 1798, 1972, 1894],
-    [1714, 1800, 1973, 1894],
-    [1529, 1711, 1891, 1894, 1714],
-    [1529, 1657, 1788, 1711],
-    [1529, 1657, 1800, 1714],
-    [1711, 1788, 1963, 1891],
-    [1527, 1656, 1798, 1714],
-    [1527, 1656, 1785, 1709],
-    [1527, 1709, 1890, 1894, 1714],
-    [1709, 1785, 1961, 1890],
-    [1713, 1795, 1970, 1893],
-    [1713, 1795, 1797],
-    [1713, 1797, 1971, 1893],
-    [1526, 1655, 1786, 1710],
-    [1526, 1655, 1797, 1713],
-    [1526, 1710, 1889, 1893, 1713],
-    [1710, 1786, 1962, 1889],
-    [1524, 1654, 1783, 1708],
-    [1524, 1654, 1795, 1713],
-    [1524, 1708, 1888, 1893, 1713],
-    [1708, 1783, 1960, 1888],
-    [1539, 1650, 1782, 1717],
-    [1539, 1650, 1784, 1718],
-    [1539, 1717, 1897, 1898, 1718],
-    [1538, 1649, 1779, 1715],
-    [1538, 1649, 1781, 1716],
-    [1538, 1715, 1895, 1896, 1716],
-    [1712, 1790, 1792],
-    [1712, 1792, 1965, 1892],
-    [1712, 1790, 1964, 1892],
-    [1521, 1653, 1792, 1712],
-    [1521, 1653, 1780, 1707],
-    [1521, 1707, 1887, 1892, 1712],
-    [1707, 1780, 1959, 1887],
-    [1519, 1652, 1790, 1712],
-    [1519, 1652, 1778, 1706],
-    [1519, 1706, 1886, 1892, 1712],
-    [1706, 1778, 1958, 1886],
-    [1711, 1777, 1788],
-    [1711, 1777, 1957, 1891],
-    [1710, 1776, 1786],
-    [1710, 1776, 1956, 1889],
-    [1709, 1775, 1785],
-    [1709, 1775, 1955, 1890],
-    [1708, 1774, 1783],
-    [1708, 1774, 1954, 1888],
-    [1707, 1773, 1780],
-    [1707, 1773, 1953, 1887],
-    [1706, 1772, 1778],
-    [1706, 1772, 1952, 1886],
-    [1515, 1648, 1777, 1711],
-    [1515, 1648, 1771, 1705],
-    [1515, 1705, 1885, 1891, 1711],
-    [1705, 1771, 1951, 1885],
-    [1514, 1647, 1776, 1710],
-    [1514, 1647, 1770, 1704],
-    [1514, 1704, 1883, 1889, 1710],
-    [1704, 1770, 1950, 1883],
-    [1513, 1646, 1769, 1703],
-    [1513, 1646, 1775, 1709],
-    [1513, 1703, 1884, 1890, 1709],
-    [1703, 1769, 1949, 1884],
-    [1512, 1644, 1767, 1702],
-    [1512, 1644, 1774, 1708],
-    [1512, 1702, 1882, 1888, 1708],
-    [1702, 1767, 1948, 1882],
-    [1511, 1645, 1768, 1701],
-    [1511, 1645, 1773, 1707],
-    [1511, 1701, 1881, 1887, 1707],
-    [1701, 1768, 1947, 1881],
-    [1510, 1643, 1766, 1700],
-    [1510, 1643, 1772, 1706],
-    [1510, 1700, 1880, 1886, 1706],
-    [1700, 1766, 1946, 1880],
-    [1705, 1765, 1771],
-    [1705, 1765, 1945, 1885],
-    [1704, 1764, 1770],
-    [1704, 1764, 1944, 1883],
-    [1703, 1763, 1769],
-    [1703, 1763, 1943, 1884],
-    [1702, 1762, 1767],
-    [1702, 1762, 1942, 1882],
-    [1701, 1761, 1768],
-    [1701, 1761, 1941, 1881],
-    [1700, 1760, 1766],
-    [1700, 1760, 1940, 1880],
-    [1507, 1642, 1763, 1703],
-    [1507, 1642, 1765, 1705],
-    [1507, 1703, 1884, 1885, 1705],
-    [1506, 1641, 1762, 1702],
-    [1506, 1641, 1764, 1704],
-    [1506, 1702, 1882, 1883, 1704],
-    [1501, 1640, 1761, 1701],
-    [1501, 1640, 1760, 1700],
-    [1501, 1700, 1880, 1881, 1701],
-    [1363, 1364, 1373, 1376, 1372],
-    [1363, 1364, 1620, 1747, 1618],
-    [1372, 1376, 1638, 1758, 1628],
-    [1364, 1373, 1629, 1753, 1620],
-    [1373, 1376, 1638, 1759, 1629],
-    [1363, 1372, 1628, 1752, 1618],
-    [1357, 1358, 1369, 1375, 1368],
-    [1357, 1368, 1625, 1749, 1613],
-    [1358, 1369, 1627, 1751, 1615],
-    [1369, 1375, 1633, 1757, 1627],
-    [1357, 1358, 1615, 1746, 1613],
-    [1368, 1375, 1633, 1755, 1625],
-    [1355, 1356, 1367, 1374, 1366],
-    [1367, 1374, 1632, 1756, 1626],
-    [1355, 1356, 1612, 1745, 1610],
-    [1355, 1366, 1624, 1748, 1610],
-    [1356, 1367, 1626, 1750, 1612],
-    [1366, 1374, 1632, 1754, 1624],
-    [1324, 1325, 1336, 1344, 1334],
-    [1324, 1325, 1568, 1727, 1566],
-    [1334, 1344, 1601, 1743, 1588],
-    [1336, 1344, 1601, 1744, 1589],
-    [1324, 1334, 1588, 1736, 1566],
-    [1325, 1336, 1589, 1737, 1568],
-    [1322, 1323, 1333, 1343, 1331],
-    [1322, 1323, 1565, 1726, 1563],
-    [1322, 1331, 1586, 1734, 1563],
-    [1323, 1333, 1587, 1735, 1565],
-    [1331, 1343, 1600, 1741, 1586],
-    [1333, 1343, 1600, 1742, 1587],
-    [1320, 1321, 1328, 1338, 1326],
-    [1320, 1321, 1560, 1721, 1558],
-    [1328, 1338, 1597, 1740, 1583],
-    [1326, 1338, 1597, 1739, 1582],
-    [1321, 1328, 1583, 1731, 1560],
-    [1320, 1326, 1582, 1730, 1558],
-    [1301, 1311, 1318, 1319, 1313],
-    [1318, 1319, 1581, 1738, 1579],
-    [1301, 1311, 1556, 1719, 1542],
-    [1301, 1313, 1557, 1720, 1542],
-    [1311, 1318, 1579, 1728, 1556],
-    [1313, 1319, 1581, 1729, 1557],
-    [1296, 1306, 1316, 1317, 1308],
-    [1308, 1317, 1576, 1725, 1553],
-    [1316, 1317, 1576, 1733, 1574],
-    [1296, 1308, 1553, 1718, 1539],
-    [1306, 1316, 1574, 1724, 1552],
-    [1296, 1306, 1552, 1717, 1539],
-    [1295, 1303, 1314, 1315, 1305],
-    [1314, 1315, 1573, 1732, 1571],
-    [1295, 1305, 1551, 1716, 1538],
-    [1295, 1303, 1550, 1715, 1538],
-    [1305, 1315, 1573, 1723, 1551],
-    [1303, 1314, 1571, 1722, 1550],
-    [1265, 1272, 1283, 1284, 1273],
-    [1265, 1272, 1513, 1703, 1507],
-    [1283, 1284, 1529, 1714, 1527],
-    [1273, 1284, 1529, 1711, 1515],
-    [1272, 1283, 1527, 1709, 1513],
-    [1265, 1273, 1515, 1705, 1507],
-    [1264, 1270, 1281, 1282, 1271],
-    [1271, 1282, 1526, 1710, 1514],
-    [1270, 1281, 1524, 1708, 1512],
-    [1264, 1270, 1512, 1702, 1506],
-    [1281, 1282, 1526, 1713, 1524],
-    [1264, 1271, 1514, 1704, 1506],
-    [1263, 1266, 1275, 1276, 1267],
-    [1263, 1267, 1511, 1701, 1501],
-    [1275, 1276, 1521, 1712, 1519],
-    [1263, 1266, 1510, 1700, 1501],
-    [1266, 1275, 1519, 1706, 1510],
-    [1267, 1276, 1521, 1707, 1511],
-    [1636, 1637, 1879, 1877],
-    [1636, 1637, 1873, 1872],
-    [1636, 1872, 1877],
-    [1637, 1873, 1879],
-    [1379, 1497, 1698, 1639],
-    [1379, 1497, 1636, 1637, 1499],
-    [1379, 1499, 1699, 1639],
-    [1497, 1636, 1877, 1698],
-    [1499, 1637, 1879, 1699],
-    [1637, 1759, 1873],
-    [1637, 1759, 1879],
-    [1499, 1637, 1759, 1638],
-    [1499, 1638, 1699],
-    [1634, 1635, 1878, 1876],
-    [1634, 1635, 1871, 1870],
-    [1634, 1870, 1876],
-    [1635, 1871, 1878],
-    [1378, 1496, 1634, 1635, 1498],
-    [1378, 1496, 1697, 1639],
-    [1378, 1498, 1699, 1639],
-    [1496, 1634, 1876, 1697],
-    [1498, 1635, 1878, 1699],
-    [1635, 1758, 1871],
-    [1635, 1758, 1878],
-    [1498, 1635, 1758, 1638],
-    [1498, 1638, 1699],
-    [1636, 1757, 1877],
-    [1636, 1757, 1872],
-    [1497, 1633, 1698],
-    [1497, 1633, 1757, 1636],
-    [1634, 1756, 1876],
-    [1634, 1756, 1870],
-    [1496, 1632, 1756, 1634],
-    [1496, 1632, 1697],
-    [1630, 1631, 1875, 1874],
-    [1630, 1631, 1869, 1868],
-    [1631, 1869, 1875],
-    [1630, 1868, 1874],
-    [1377, 1494, 1630, 1631, 1495],
-    [1377, 1495, 1698, 1639],
-    [1377, 1494, 1697, 1639],
-    [1495, 1631, 1875, 1698],
-    [1494, 1630, 1874, 1697],
-    [1631, 1755, 1875],
-    [1631, 1755, 1869],
-    [1495, 1633, 1698],
-    [1495, 1631, 1755, 1633],
-    [1630, 1754, 1874],
-    [1630, 1754, 1868],
-    [1494, 1630, 1754, 1632],
-    [1494, 1632, 1697],
-    [1371, 1493, 1696, 1623],
-    [1371, 1492, 1636, 1637, 1493],
-    [1371, 1492, 1695, 1623],
-    [1493, 1637, 1873, 1696],
-    [1492, 1636, 1872, 1695],
-    [1493, 1629, 1696],
-    [1493, 1629, 1759, 1637],
-    [1492, 1627, 1757, 1636],
-    [1492, 1627, 1695],
-    [1370, 1490, 1634, 1635, 1491],
-    [1370, 1491, 1694, 1622],
-    [1370, 1490, 1693, 1622],
-    [1491, 1635, 1871, 1694],
-    [1490, 1634, 1870, 1693],
-    [1491, 1628, 1758, 1635],
-    [1491, 1628, 1694],
-    [1490, 1626, 1756, 1634],
-    [1490, 1626, 1693],
-    [1365, 1488, 1630, 1631, 1489],
-    [1365, 1488, 1691, 1621],
-    [1365, 1489, 1692, 1621],
-    [1488, 1630, 1868, 1691],
-    [1489, 1631, 1869, 1692],
-    [1489, 1625, 1755, 1631],
-    [1489, 1625, 1692],
-    [1488, 1624, 1754, 1630],
-    [1488, 1624, 1691],
-    [1608, 1619, 1861, 1848],
-    [1608, 1619, 1867, 1860],
-    [1608, 1848, 1860],
-    [1619, 1861, 1867],
-    [1619, 1753, 1867],
-    [1619, 1753, 1861],
-    [1362, 1487, 1696, 1623],
-    [1362, 1480, 1608, 1619, 1487],
-    [1362, 1480, 1690, 1623],
-    [1487, 1619, 1867, 1696],
-    [1480, 1608, 1860, 1690],
-    [1487, 1629, 1696],
-    [1487, 1619, 1753, 1629],
-    [1606, 1617, 1859, 1846],
-    [1606, 1617, 1866, 1857],
-    [1606, 1846, 1857],
-    [1617, 1859, 1866],
-    [1617, 1752, 1859],
-    [1617, 1752, 1866],
-    [1360, 1477, 1606, 1617, 1486],
-    [1360, 1477, 1689, 1622],
-    [1360, 1486, 1694, 1622],
-    [1486, 1617, 1866, 1694],
-    [1477, 1606, 1857, 1689],
-    [1486, 1617, 1752, 1628],
-    [1486, 1628, 1694],
-    [1607, 1616, 1865, 1858],
-    [1607, 1616, 1856, 1845],
-    [1607, 1845, 1858],
-    [1616, 1856, 1865],
-    [1361, 1478, 1607, 1616, 1485],
-    [1361, 1478, 1690, 1623],
-    [1361, 1485, 1695, 1623],
-    [1478, 1607, 1858, 1690],
-    [1485, 1616, 1865, 1695],
-    [1616, 1751, 1865],
-    [1616, 1751, 1856],
-    [1485, 1616, 1751, 1627],
-    [1485, 1627, 1695],
-    [1605, 1614, 1864, 1855],
-    [1605, 1614, 1854, 1843],
-    [1605, 1843, 1855],
-    [1614, 1854, 1864],
-    [1359, 1475, 1689, 1622],
-    [1359, 1475, 1605, 1614, 1484],
-    [1359, 1484, 1693, 1622],
-    [1484, 1614, 1864, 1693],
-    [1475, 1605, 1855, 1689],
-    [1614, 1750, 1854],
-    [1614, 1750, 1864],
-    [1484, 1614, 1750, 1626],
-    [1484, 1626, 1693],
-    [1604, 1611, 1863, 1852],
-    [1604, 1611, 1853, 1840],
-    [1611, 1853, 1863],
-    [1604, 1840, 1852],
-    [1611, 1749, 1863],
-    [1611, 1749, 1853],
-    [1354, 1472, 1604, 1611, 1483],
-    [1354, 1483, 1692, 1621],
-    [1354, 1472, 1688, 1621],
-    [1483, 1611, 1863, 1692],
-    [1472, 1604, 1852, 1688],
-    [1483, 1611, 1749, 1625],
-    [1483, 1625, 1692],
-    [1603, 1609, 1851, 1838],
-    [1603, 1609, 1862, 1850],
-    [1603, 1838, 1850],
-    [1609, 1851, 1862],
-    [1609, 1748, 1862],
-    [1609, 1748, 1851],
-    [1353, 1482, 1691, 1621],
-    [1353, 1470, 1603, 1609, 1482],
-    [1353, 1470, 1688, 1621],
-    [1482, 1609, 1862, 1691],
-    [1470, 1603, 1850, 1688],
-    [1482, 1624, 1691],
-    [1482, 1609, 1748, 1624],
-    [1352, 1463, 1681, 1596],
-    [1352, 1463, 1608, 1619, 1481],
-    [1352, 1481, 1687, 1596],
-    [1463, 1608, 1848, 1681],
-    [1481, 1619, 1861, 1687],
-    [1481, 1619, 1753, 1620],
-    [1481, 1620, 1687],
-    [1608, 1744, 1848],
-    [1608, 1744, 1860],
-    [1480, 1601, 1744, 1608],
-    [1480, 1601, 1690],
-    [1351, 1462, 1606, 1617, 1479],
-    [1351, 1462, 1680, 1595],
-    [1351, 1479, 1686, 1595],
-    [1479, 1617, 1859, 1686],
-    [1462, 1606, 1846, 1680],
-    [1479, 1617, 1752, 1618],
-    [1479, 1618, 1686],
-    [1607, 1743, 1858],
-    [1607, 1743, 1845],
-    [1478, 1601, 1743, 1607],
-    [1478, 1601, 1690],
-    [1606, 1742, 1846],
-    [1606, 1742, 1857],
-    [1477, 1600, 1689],
-    [1477, 1600, 1742, 1606],
-    [1350, 1461, 1607, 1616, 1476],
-    [1350, 1461, 1679, 1594],
-    [1350, 1476, 1685, 1594],
-    [1461, 1607, 1845, 1679],
-    [1476, 1616, 1856, 1685],
-    [1476, 1615, 1751, 1616],
-    [1476, 1615, 1685],
-    [1605, 1741, 1855],
-    [1605, 1741, 1843],
-    [1475, 1600, 1689],
-    [1475, 1600, 1741, 1605],
-    [1349, 1460, 1605, 1614, 1474],
-    [1349, 1474, 1683, 1593],
-    [1349, 1460, 1678, 1593],
-    [1474, 1614, 1854, 1683],
-    [1460, 1605, 1843, 1678],
-    [1474, 1612, 1683],
-    [1474, 1612, 1750, 1614],
-    [1348, 1459, 1604, 1611, 1473],
-    [1348, 1459, 1677, 1592],
-    [1348, 1473, 1684, 1592],
-    [1459, 1604, 1840, 1677],
-    [1473, 1611, 1853, 1684],
-    [1473, 1611, 1749, 1613],
-    [1473, 1613, 1684],
-    [1604, 1740, 1840],
-    [1604, 1740, 1852],
-    [1472, 1597, 1740, 1604],
-    [1472, 1597, 1688],
-    [1347, 1458, 1676, 1591],
-    [1347, 1458, 1603, 1609, 1471],
-    [1347, 1471, 1682, 1591],
-    [1458, 1603, 1838, 1676],
-    [1471, 1609, 1851, 1682],
-    [1471, 1609, 1748, 1610],
-    [1471, 1610, 1682],
-    [1603, 1739, 1838],
-    [1603, 1739, 1850],
-    [1470, 1597, 1739, 1603],
-    [1470, 1597, 1688],
-    [1590, 1602, 1849, 1837],
-    [1590, 1602, 1847, 1836],
-    [1590, 1836, 1837],
-    [1602, 1847, 1849],
-    [1602, 1747, 1847],
-    [1602, 1747, 1849],
-    [1346, 1457, 1590, 1602, 1469],
-    [1346, 1457, 1675, 1596],
-    [1346, 1469, 1687, 1596],
-    [1457, 1590, 1837, 1675],
-    [1469, 1602, 1849, 1687],
-    [1469, 1602, 1747, 1620],
-    [1469, 1620, 1687],
-    [1463, 1589, 1681],
-    [1463, 1589, 1744, 1608],
-    [1345, 1455, 1590, 1602, 1468],
-    [1345, 1468, 1686, 1595],
-    [1345, 1455, 1674, 1595],
-    [1468, 1602, 1847, 1686],
-    [1455, 1590, 1836, 1674],
-    [1468, 1602, 1747, 1618],
-    [1468, 1618, 1686],
-    [1462, 1587, 1680],
-    [1462, 1587, 1742, 1606],
-    [1461, 1588, 1743, 1607],
-    [1461, 1588, 1679],
-    [1585, 1599, 1844, 1835],
-    [1585, 1599, 1842, 1834],
-    [1585, 1834, 1835],
-    [1599, 1842, 1844],
-    [1599, 1746, 1844],
-    [1599, 1746, 1842],
-    [1342, 1452, 1585, 1599, 1467],
-    [1342, 1452, 1673, 1594],
-    [1342, 1467, 1685, 1594],
-    [1467, 1599, 1844, 1685],
-    [1452, 1585, 1835, 1673],
-    [1467, 1615, 1685],
-    [1467, 1599, 1746, 1615],
-    [1460, 1586, 1741, 1605],
-    [1460, 1586, 1678],
-    [1341, 1450, 1585, 1599, 1466],
-    [1341, 1466, 1684, 1592],
-    [1341, 1450, 1672, 1592],
-    [1466, 1599, 1842, 1684],
-    [1450, 1585, 1834, 1672],
-    [1466, 1599, 1746, 1613],
-    [1466, 1613, 1684],
-    [1584, 1598, 1839, 1832],
-    [1584, 1598, 1841, 1833],
-    [1584, 1832, 1833],
-    [1598, 1839, 1841],
-    [1598, 1745, 1841],
-    [1598, 1745, 1839],
-    [1340, 1449, 1584, 1598, 1465],
-    [1340, 1465, 1683, 1593],
-    [1340, 1449, 1671, 1593],
-    [1465, 1598, 1841, 1683],
-    [1449, 1584, 1833, 1671],
-    [1465, 1598, 1745, 1612],
-    [1465, 1612, 1683],
-    [1459, 1583, 1740, 1604],
-    [1459, 1583, 1677],
-    [1339, 1447, 1584, 1598, 1464],
-    [1339, 1447, 1670, 1591],
-    [1339, 1464, 1682, 1591],
-    [1447, 1584, 1832, 1670],
-    [1464, 1598, 1839, 1682],
-    [1464, 1598, 1745, 1610],
-    [1464, 1610, 1682],
-    [1458, 1582, 1676],
-    [1458, 1582, 1739, 1603],
-    [1590, 1738, 1837],
-    [1590, 1738, 1836],
-    [1457, 1581, 1738, 1590],
-    [1457, 1581, 1675],
-    [1455, 1579, 1738, 1590],
-    [1455, 1579, 1674],
-    [1585, 1733, 1834],
-    [1585, 1733, 1835],
-    [1452, 1576, 1673],
-    [1452, 1576, 1733, 1585],
-    [1450, 1574, 1672],
-    [1450, 1574, 1733, 1585],
-    [1584, 1732, 1832],
-    [1584, 1732, 1833],
-    [1449, 1573, 1732, 1584],
-    [1449, 1573, 1671],
-    [1447, 1571, 1732, 1584],
-    [1447, 1571, 1670],
-    [1569, 1580, 1831, 1825],
-    [1569, 1580, 1819, 1813],
-    [1580, 1819, 1831],
-    [1569, 1813, 1825],
-    [1337, 1445, 1569, 1580, 1456],
-    [1337, 1456, 1681, 1596],
-    [1337, 1445, 1675, 1596],
-    [1456, 1580, 1831, 1681],
-    [1445, 1569, 1825, 1675],
-    [1580, 1737, 1831],
-    [1580, 1737, 1819],
-    [1456, 1589, 1681],
-    [1456, 1580, 1737, 1589],
-    [1567, 1578, 1830, 1824],
-    [1567, 1578, 1818, 1812],
-    [1578, 1818, 1830],
-    [1567, 1812, 1824],
-    [1335, 1454, 1680, 1595],
-    [1335, 1444, 1567, 1578, 1454],
-    [1335, 1444, 1674, 1595],
-    [1444, 1567, 1824, 1674],
-    [1454, 1578, 1830, 1680],
-    [1578, 1735, 1830],
-    [1578, 1735, 1818],
-    [1454, 1587, 1680],
-    [1454, 1578, 1735, 1587],
-    [1564, 1577, 1829, 1823],
-    [1564, 1577, 1817, 1811],
-    [1564, 1811, 1823],
-    [1577, 1817, 1829],
-    [1332, 1443, 1564, 1577, 1453],
-    [1332, 1443, 1673, 1594],
-    [1332, 1453, 1679, 1594],
-    [1453, 1577, 1829, 1679],
-    [1443, 1564, 1823, 1673],
-    [1577, 1736, 1829],
-    [1577, 1736, 1817],
-    [1453, 1588, 1679],
-    [1453, 1577, 1736, 1588],
-    [1562, 1575, 1816, 1810],
-    [1562, 1575, 1828, 1822],
-    [1575, 1816, 1828],
-    [1562, 1810, 1822],
-    [1330, 1441, 1562, 1575, 1451],
-    [1330, 1451, 1678, 1593],
-    [1330, 1441, 1671, 1593],
-    [1441, 1562, 1822, 1671],
-    [1451, 1575, 1828, 1678],
-    [1575, 1734, 1828],
-    [1575, 1734, 1816],
-    [1451, 1586, 1678],
-    [1451, 1575, 1734, 1586],
-    [1561, 1572, 1815, 1809],
-    [1561, 1572, 1827, 1821],
-    [1561, 1809, 1821],
-    [1572, 1815, 1827],
-    [1329, 1442, 1561, 1572, 1448],
-    [1329, 1448, 1677, 1592],
-    [1329, 1442, 1672, 1592],
-    [1448, 1572, 1827, 1677],
-    [1442, 1561, 1821, 1672],
-    [1572, 1731, 1827],
-    [1572, 1731, 1815],
-    [1448, 1583, 1677],
-    [1448, 1572, 1731, 1583],
-    [1559, 1570, 1814, 1808],
-    [1559, 1570, 1826, 1820],
-    [1559, 1808, 1820],
-    [1570, 1814, 1826],
-    [1327, 1440, 1559, 1570, 1446],
-    [1327, 1446, 1676, 1591],
-    [1327, 1440, 1670, 1591],
-    [1446, 1570, 1826, 1676],
-    [1440, 1559, 1820, 1670],
-    [1570, 1730, 1826],
-    [1570, 1730, 1814],
-    [1446, 1582, 1676],
-    [1446, 1570, 1730, 1582],
-    [1569, 1729, 1813],
-    [1569, 1729, 1825],
-    [1445, 1569, 1729, 1581],
-    [1445, 1581, 1675],
-    [1567, 1728, 1812],
-    [1567, 1728, 1824],
-    [1444, 1567, 1728, 1579],
-    [1444, 1579, 1674],
-    [1564, 1725, 1811],
-    [1564, 1725, 1823],
-    [1443, 1576, 1673],
-    [1443, 1564, 1725, 1576],
-    [1562, 1723, 1810],
-    [1562, 1723, 1822],
-    [1441, 1562, 1723, 1573],
-    [1441, 1573, 1671],
-    [1561, 1724, 1809],
-    [1561, 1724, 1821],
-    [1442, 1561, 1724, 1574],
-    [1442, 1574, 1672],
-    [1559, 1722, 1808],
-    [1559, 1722, 1820],
-    [1440, 1559, 1722, 1571],
-    [1440, 1571, 1670],
-    [1312, 1433, 1569, 1580, 1439],
-    [1312, 1433, 1663, 1548],
-    [1312, 1439, 1669, 1548],
-    [1433, 1569, 1813, 1663],
-    [1439, 1580, 1819, 1669],
-    [1439, 1568, 1737, 1580],
-    [1439, 1568, 1669],
-    [1310, 1431, 1567, 1578, 1437],
-    [1310, 1431, 1662, 1547],
-    [1310, 1437, 1667, 1547],
-    [1431, 1567, 1812, 1662],
-    [1437, 1578, 1818, 1667],
-    [1437, 1565, 1735, 1578],
-    [1437, 1565, 1667],
-    [1309, 1428, 1564, 1577, 1438],
-    [1309, 1428, 1661, 1546],
-    [1309, 1438, 1668, 1546],
-    [1438, 1577, 1817, 1668],
-    [1428, 1564, 1811, 1661],
-    [1438, 1566, 1736, 1577],
-    [1438, 1566, 1668],
-    [1307, 1426, 1562, 1575, 1436],
-    [1307, 1436, 1666, 1545],
-    [1307, 1426, 1660, 1545],
-    [1426, 1562, 1810, 1660],
-    [1436, 1575, 1816, 1666],
-    [1436, 1563, 1666],
-    [1436, 1563, 1734, 1575],
-    [1304, 1425, 1659, 1544],
-    [1304, 1425, 1561, 1572, 1435],
-    [1304, 1435, 1665, 1544],
-    [1435, 1572, 1815, 1665],
-    [1425, 1561, 1809, 1659],
-    [1435, 1560, 1731, 1572],
-    [1435, 1560, 1665],
-    [1302, 1423, 1559, 1570, 1434],
-    [1302, 1423, 1658, 1543],
-    [1302, 1434, 1664, 1543],
-    [1423, 1559, 1808, 1658],
-    [1434, 1570, 1814, 1664],
-    [1434, 1558, 1730, 1570],
-    [1434, 1558, 1664],
-    [1433, 1557, 1663],
-    [1433, 1557, 1729, 1569],
-    [1431, 1556, 1662],
-    [1431, 1556, 1728, 1567],
-    [1428, 1553, 1661],
-    [1428, 1553, 1725, 1564],
-    [1426, 1551, 1660],
-    [1426, 1551, 1723, 1562],
-    [1425, 1552, 1659],
-    [1425, 1552, 1724, 1561],
-    [1423, 1550, 1658],
-    [1423, 1550, 1722, 1559],
-    [1541, 1555, 1807, 1800],
-    [1541, 1555, 1806, 1798],
-    [1555, 1806, 1807],
-    [1541, 1798, 1800],
-    [1555, 1727, 1807],
-    [1555, 1727, 1806],
-    [1300, 1415, 1541, 1555, 1432],
-    [1300, 1432, 1669, 1548],
-    [1300, 1415, 1657, 1548],
-    [1432, 1555, 1807, 1669],
-    [1415, 1541, 1800, 1657],
-    [1432, 1555, 1727, 1568],
-    [1432, 1568, 1669],
-    [1299, 1414, 1541, 1555, 1430],
-    [1299, 1414, 1656, 1546],
-    [1299, 1430, 1668, 1546],
-    [1414, 1541, 1798, 1656],
-    [1430, 1555, 1806, 1668],
-    [1430, 1555, 1727, 1566],
-    [1430, 1566, 1668],
-    [1540, 1554, 1804, 1795],
-    [1540, 1554, 1805, 1797],
-    [1554, 1804, 1805],
-    [1540, 1795, 1797],
-    [1554, 1726, 1805],
-    [1554, 1726, 1804],
-    [1298, 1413, 1540, 1554, 1429],
-    [1298, 1413, 1655, 1547],
-    [1298, 1429, 1667, 1547],
-    [1413, 1540, 1797, 1655],
-    [1429, 1554, 1805, 1667],
-    [1429, 1565, 1667],
-    [1429, 1554, 1726, 1565],
-    [1297, 1412, 1540, 1554, 1427],
-    [1297, 1427, 1666, 1545],
-    [1297, 1412, 1654, 1545],
-    [1412, 1540, 1795, 1654],
-    [1427, 1554, 1804, 1666],
-    [1427, 1563, 1666],
-    [1427, 1554, 1726, 1563],
-    [1537, 1549, 1802, 1790],
-    [1537, 1549, 1803, 1792],
-    [1549, 1802, 1803],
-    [1537, 1790, 1792],
-    [1549, 1721, 1802],
-    [1549, 1721, 1803],
-    [1294, 1411, 1537, 1549, 1424],
-    [1294, 1411, 1653, 1544],
-    [1294, 1424, 1665, 1544],
-    [1411, 1537, 1792, 1653],
-    [1424, 1549, 1803, 1665],
-    [1424, 1549, 1721, 1560],
-    [1424, 1560, 1665],
-    [1293, 1410, 1537, 1549, 1422],
-    [1293, 1422, 1664, 1543],
-    [1293, 1410, 1652, 1543],
-    [1422, 1549, 1802, 1664],
-    [1410, 1537, 1790, 1652],
-    [1422, 1549, 1721, 1558],
-    [1422, 1558, 1664],
-    [1530, 1536, 1789, 1777],
-    [1530, 1536, 1801, 1788],
-    [1530, 1777, 1788],
-    [1536, 1789, 1801],
-    [1536, 1720, 1801],
-    [1536, 1720, 1789],
-    [1292, 1421, 1663, 1548],
-    [1292, 1408, 1530, 1536, 1421],
-    [1292, 1408, 1657, 1548],
-    [1421, 1536, 1801, 1663],
-    [1408, 1530, 1788, 1657],
-    [1421, 1557, 1663],
-    [1421, 1536, 1720, 1557],
-    [1541, 1714, 1798],
-    [1541, 1714, 1800],
-    [1415, 1529, 1714, 1541],
-    [1415, 1529, 1657],
-    [1528, 1535, 1787, 1776],
-    [1528, 1535, 1799, 1786],
-    [1528, 1776, 1786],
-    [1535, 1787, 1799],
-    [1535, 1719, 1799],
-    [1535, 1719, 1787],
-    [1291, 1406, 1528, 1535, 1420],
-    [1291, 1420, 1662, 1547],
-    [1291, 1406, 1655, 1547],
-    [1420, 1535, 1799, 1662],
-    [1406, 1528, 1786, 1655],
-    [1420, 1535, 1719, 1556],
-    [1420, 1556, 1662],
-    [1414, 1527, 1714, 1541],
-    [1414, 1527, 1656],
-    [1540, 1713, 1795],
-    [1540, 1713, 1797],
-    [1413, 1526, 1713, 1540],
-    [1413, 1526, 1655],
-    [1525, 1534, 1784, 1775],
-    [1525, 1534, 1796, 1785],
-    [1534, 1784, 1796],
-    [1525, 1775, 1785],
-    [1290, 1405, 1525, 1534, 1419],
-    [1290, 1405, 1656, 1546],
-    [1290, 1419, 1661, 1546],
-    [1405, 1525, 1785, 1656],
-    [1419, 1534, 1796, 1661],
-    [1534, 1718, 1784],
-    [1534, 1718, 1796],
-    [1419, 1534, 1718, 1553],
-    [1419, 1553, 1661],
-    [1412, 1524, 1654],
-    [1412, 1524, 1713, 1540],
-    [1523, 1532, 1781, 1774],
-    [1523, 1532, 1794, 1783],
-    [1523, 1774, 1783],
-    [1532, 1781, 1794],
-    [1289, 1403, 1523, 1532, 1418],
-    [1289, 1403, 1654, 1545],
-    [1289, 1418, 1660, 1545],
-    [1403, 1523, 1783, 1654],
-    [1418, 1532, 1794, 1660],
-    [1532, 1716, 1781],
-    [1532, 1716, 1794],
-    [1418, 1532, 1716, 1551],
-    [1418, 1551, 1660],
-    [1522, 1533, 1782, 1773],
-    [1522, 1533, 1793, 1780],
-    [1533, 1782, 1793],
-    [1522, 1773, 1780],
-    [1533, 1717, 1782],
-    [1533, 1717, 1793],
-    [1288, 1400, 1522, 1533, 1417],
-    [1288, 1417, 1659, 1544],
-    [1288, 1400, 1653, 1544],
-    [1400, 1522, 1780, 1653],
-    [1417, 1533, 1793, 1659],
-    [1417, 1552, 1659],
-    [1417, 1533, 1717, 1552],
-    [1537, 1712, 1792],
-    [1537, 1712, 1790],
-    [1411, 1521, 1712, 1537],
-    [1411, 1521, 1653],
-    [1520, 1531, 1791, 1778],
-    [1520, 1531, 1779, 1772],
-    [1531, 1779, 1791],
-    [1520, 1772, 1778],
-    [1531, 1715, 1791],
-    [1531, 1715, 1779],
-    [1287, 1416, 1658, 1543],
-    [1287, 1398, 1520, 1531, 1416],
-    [1287, 1398, 1652, 1543],
-    [1416, 1531, 1791, 1658],
-    [1398, 1520, 1778, 1652],
-    [1416, 1550, 1658],
-    [1416, 1531, 1715, 1550],
-    [1410, 1519, 1712, 1537],
-    [1410, 1519, 1652],
-    [1286, 1397, 1648, 1518],
-    [1286, 1397, 1530, 1536, 1409],
-    [1286, 1409, 1651, 1518],
-    [1397, 1530, 1777, 1648],
-    [1409, 1536, 1789, 1651],
-    [1409, 1536, 1720, 1542],
-    [1409, 1542, 1651],
-    [1530, 1711, 1777],
-    [1530, 1711, 1788],
-    [1408, 1529, 1711, 1530],
-    [1408, 1529, 1657],
-    [1285, 1396, 1528, 1535, 1407],
-    [1285, 1396, 1647, 1518],
-    [1285, 1407, 1651, 1518],
-    [1396, 1528, 1776, 1647],
-    [1407, 1535, 1787, 1651],
-    [1407, 1535, 1719, 1542],
-    [1407, 1542, 1651],
-    [1528, 1710, 1776],
-    [1528, 1710, 1786],
-    [1406, 1526, 1710, 1528],
-    [1406, 1526, 1655],
-    [1525, 1709, 1785],
-    [1525, 1709, 1775],
-    [1405, 1527, 1656],
-    [1405, 1525, 1709, 1527],
-    [1280, 1404, 1650, 1517],
-    [1280, 1395, 1525, 1534, 1404],
-    [1280, 1395, 1646, 1517],
-    [1395, 1525, 1775, 1646],
-    [1404, 1534, 1784, 1650],
-    [1404, 1539, 1650],
-    [1404, 1534, 1718, 1539],
-    [1523, 1708, 1774],
-    [1523, 1708, 1783],
-    [1403, 1523, 1708, 1524],
-    [1403, 1524, 1654],
-    [1279, 1393, 1522, 1533, 1402],
-    [1279, 1402, 1650, 1517],
-    [1279, 1393, 1645, 1517],
-    [1393, 1522, 1773, 1645],
-    [1402, 1533, 1782, 1650],
-    [1402, 1539, 1650],
-    [1402, 1533, 1717, 1539],
-    [1278, 1394, 1523, 1532, 1401],
-    [1278, 1394, 1644, 1516],
-    [1278, 1401, 1649, 1516],
-    [1394, 1523, 1774, 1644],
-    [1401, 1532, 1781, 1649],
-    [1401, 1532, 1716, 1538],
-    [1401, 1538, 1649],
-    [1522, 1707, 1773],
-    [1522, 1707, 1780],
-    [1400, 1521, 1707, 1522],
-    [1400, 1521, 1653],
-    [1277, 1392, 1643, 1516],
-    [1277, 1392, 1520, 1531, 1399],
-    [1277, 1399, 1649, 1516],
-    [1392, 1520, 1772, 1643],
-    [1399, 1531, 1779, 1649],
-    [1399, 1531, 1715, 1538],
-    [1399, 1538, 1649],
-    [1520, 1706, 1772],
-    [1520, 1706, 1778],
-    [1398, 1519, 1706, 1520],
-    [1398, 1519, 1652],
-    [1397, 1515, 1648],
-    [1397, 1515, 1711, 1530],
-    [1396, 1514, 1710, 1528],
-    [1396, 1514, 1647],
-    [1395, 1513, 1709, 1525],
-    [1395, 1513, 1646],
-    [1394, 1512, 1708, 1523],
-    [1394, 1512, 1644],
-    [1393, 1511, 1707, 1522],
-    [1393, 1511, 1645],
-    [1392, 1510, 1643],
-    [1392, 1510, 1706, 1520],
-    [1508, 1509, 1765, 1764],
-    [1508, 1509, 1771, 1770],
-    [1508, 1764, 1770],
-    [1509, 1765, 1771],
-    [1274, 1390, 1508, 1509, 1391],
-    [1274, 1391, 1648, 1518],
-    [1274, 1390, 1647, 1518],
-    [1391, 1509, 1771, 1648],
-    [1390, 1508, 1770, 1647],
-    [1509, 1705, 1765],
-    [1509, 1705, 1771],
-    [1391, 1509, 1705, 1515],
-    [1391, 1515, 1648],
-    [1508, 1704, 1764],
-    [1508, 1704, 1770],
-    [1390, 1508, 1704, 1514],
-    [1390, 1514, 1647],
-    [1504, 1505, 1763, 1761],
-    [1504, 1505, 1769, 1768],
-    [1505, 1763, 1769],
-    [1504, 1761, 1768],
-    [1269, 1388, 1504, 1505, 1389],
-    [1269, 1388, 1645, 1517],
-    [1269, 1389, 1646, 1517],
-    [1388, 1504, 1768, 1645],
-    [1389, 1505, 1769, 1646],
-    [1505, 1703, 1763],
-    [1505, 1703, 1769],
-    [1389, 1505, 1703, 1513],
-    [1389, 1513, 1646],
-    [1504, 1701, 1768],
-    [1504, 1701, 1761],
-    [1388, 1504, 1701, 1511],
-    [1388, 1511, 1645],
-    [1502, 1503, 1762, 1760],
-    [1502, 1503, 1767, 1766],
-    [1503, 1762, 1767],
-    [1502, 1760, 1766],
-    [1268, 1386, 1643, 1516],
-    [1268, 1386, 1502, 1503, 1387],
-    [1268, 1387, 1644, 1516],
-    [1386, 1502, 1766, 1643],
-    [1387, 1503, 1767, 1644],
-    [1503, 1702, 1762],
-    [1503, 1702, 1767],
-    [1387, 1503, 1702, 1512],
-    [1387, 1512, 1644],
-    [1502, 1700, 1766],
-    [1502, 1700, 1760],
-    [1386, 1510, 1643],
-    [1386, 1502, 1700, 1510],
-    [1262, 1384, 1508, 1509, 1385],
-    [1262, 1384, 1641, 1500],
-    [1262, 1385, 1642, 1500],
-    [1384, 1508, 1764, 1641],
-    [1385, 1509, 1765, 1642],
-    [1385, 1507, 1705, 1509],
-    [1385, 1507, 1642],
-    [1384, 1506, 1641],
-    [1384, 1506, 1704, 1508],
-    [1261, 1381, 1504, 1505, 1383],
-    [1261, 1383, 1642, 1500],
-    [1261, 1381, 1640, 1500],
-    [1383, 1505, 1763, 1642],
-    [1381, 1504, 1761, 1640],
-    [1383, 1505, 1703, 1507],
-    [1383, 1507, 1642],
-    [1260, 1382, 1641, 1500],
-    [1260, 1380, 1502, 1503, 1382],
-    [1260, 1380, 1640, 1500],
-    [1382, 1503, 1762, 1641],
-    [1380, 1502, 1760, 1640],
-    [1382, 1506, 1641],
-    [1382, 1503, 1702, 1506],
-    [1381, 1501, 1701, 1504],
-    [1381, 1501, 1640],
-    [1380, 1501, 1700, 1502],
-    [1380, 1501, 1640],
-    [1253, 1259, 1376, 1373],
-    [1253, 1259, 1499, 1637, 1493],
-    [1253, 1373, 1629, 1493],
-    [1259, 1376, 1638, 1499],
-    [1252, 1258, 1376, 1372],
-    [1252, 1258, 1498, 1635, 1491],
-    [1252, 1372, 1628, 1491],
-    [1258, 1376, 1638, 1498],
-    [1251, 1257, 1375, 1369],
-    [1251, 1257, 1497, 1636, 1492],
-    [1257, 1375, 1633, 1497],
-    [1251, 1369, 1627, 1492],
-    [1250, 1255, 1374, 1367],
-    [1250, 1255, 1496, 1634, 1490],
-    [1250, 1367, 1626, 1490],
-    [1255, 1374, 1632, 1496],
-    [1249, 1256, 1375, 1368],
-    [1256, 1375, 1633, 1495],
-    [1249, 1256, 1495, 1631, 1489],
-    [1249, 1368, 1625, 1489],
-    [1248, 1254, 1374, 1366],
-    [1248, 1366, 1624, 1488],
-    [1248, 1254, 1494, 1630, 1488],
-    [1254, 1374, 1632, 1494],
-    [1241, 1247, 1373, 1364],
-    [1241, 1247, 1487, 1619, 1481],
-    [1247, 1373, 1629, 1487],
-    [1241, 1364, 1620, 1481],
-    [1240, 1246, 1372, 1363],
-    [1240, 1363, 1618, 1479],
-    [1246, 1372, 1628, 1486],
-    [1240, 1246, 1486, 1617, 1479],
-    [1239, 1245, 1369, 1358],
-    [1239, 1245, 1485, 1616, 1476],
-    [1239, 1358, 1615, 1476],
-    [1245, 1369, 1627, 1485],
-    [1237, 1356, 1612, 1474],
-    [1237, 1244, 1367, 1356],
-    [1237, 1244, 1484, 1614, 1474],
-    [1244, 1367, 1626, 1484],
-    [1238, 1243, 1368, 1357],
-    [1238, 1243, 1483, 1611, 1473],
-    [1238, 1357, 1613, 1473],
-    [1243, 1368, 1625, 1483],
-    [1236, 1242, 1366, 1355],
-    [1236, 1242, 1482, 1609, 1471],
-    [1242, 1366, 1624, 1482],
-    [1236, 1355, 1610, 1471],
-    [1234, 1235, 1364, 1363],
-    [1234, 1235, 1469, 1602, 1468],
-    [1234, 1363, 1618, 1468],
-    [1235, 1364, 1620, 1469],
-    [1233, 1358, 1615, 1467],
-    [1232, 1233, 1358, 1357],
-    [1232, 1233, 1467, 1599, 1466],
-    [1232, 1357, 1613, 1466],
-    [1230, 1231, 1356, 1355],
-    [1230, 1231, 1465, 1598, 1464],
-    [1231, 1356, 1612, 1465],
-    [1230, 1355, 1610, 1464],
-    [1223, 1229, 1344, 1336],
-    [1223, 1229, 1480, 1608, 1463],
-    [1223, 1336, 1589, 1463],
-    [1229, 1344, 1601, 1480],
-    [1222, 1228, 1344, 1334],
-    [1222, 1228, 1478, 1607, 1461],
-    [1222, 1334, 1588, 1461],
-    [1228, 1344, 1601, 1478],
-    [1221, 1227, 1343, 1333],
-    [1221, 1227, 1477, 1606, 1462],
-    [1221, 1333, 1587, 1462],
-    [1227, 1343, 1600, 1477],
-    [1220, 1226, 1343, 1331],
-    [1220, 1226, 1475, 1605, 1460],
-    [1220, 1331, 1586, 1460],
-    [1226, 1343, 1600, 1475],
-    [1219, 1225, 1338, 1328],
-    [1219, 1225, 1472, 1604, 1459],
-    [1219, 1328, 1583, 1459],
-    [1225, 1338, 1597, 1472],
-    [1218, 1224, 1338, 1326],
-    [1218, 1224, 1470, 1603, 1458],
-    [1218, 1326, 1582, 1458],
-    [1224, 1338, 1597, 1470],
-    [1210, 1211, 1319, 1318],
-    [1210, 1211, 1457, 1590, 1455],
-    [1210, 1318, 1579, 1455],
-    [1211, 1319, 1581, 1457],
-    [1204, 1217, 1336, 1325],
-    [1217, 1336, 1589, 1456],
-    [1204, 1217, 1456, 1580, 1439],
-    [1204, 1325, 1568, 1439],
-    [1216, 1334, 1588, 1453],
-    [1202, 1216, 1334, 1324],
-    [1202, 1216, 1453, 1577, 1438],
-    [1202, 1324, 1566, 1438],
-    [1201, 1215, 1333, 1323],
-    [1201, 1215, 1454, 1578, 1437],
-    [1201, 1323, 1565, 1437],
-    [1215, 1333, 1587, 1454],
-    [1199, 1214, 1331, 1322],
-    [1199, 1214, 1451, 1575, 1436],
-    [1199, 1322, 1563, 1436],
-    [1214, 1331, 1586, 1451],
-    [1208, 1209, 1317, 1316],
-    [1208, 1209, 1452, 1585, 1450],
-    [1209, 1317, 1576, 1452],
-    [1208, 1316, 1574, 1450],
-    [1206, 1207, 1315, 1314],
-    [1206, 1207, 1449, 1584, 1447],
-    [1207, 1315, 1573, 1449],
-    [1206, 1314, 1571, 1447],
-    [1213, 1328, 1583, 1448],
-    [1196, 1213, 1328, 1321],
-    [1196, 1213, 1448, 1572, 1435],
-    [1196, 1321, 1560, 1435],
-    [1194, 1212, 1326, 1320],
-    [1212, 1326, 1582, 1446],
-    [1194, 1212, 1446, 1570, 1434],
-    [1194, 1320, 1558, 1434],
-    [1187, 1205, 1319, 1313],
-    [1187, 1313, 1557, 1433],
-    [1187, 1205, 1445, 1569, 1433],
-    [1205, 1319, 1581, 1445],
-    [1186, 1311, 1556, 1431],
-    [1186, 1203, 1318, 1311],
-    [1186, 1203, 1444, 1567, 1431],
-    [1203, 1318, 1579, 1444],
-    [1192, 1193, 1325, 1324],
-    [1192, 1193, 1432, 1555, 1430],
-    [1192, 1324, 1566, 1430],
-    [1193, 1325, 1568, 1432],
-    [1190, 1191, 1323, 1322],
-    [1190, 1191, 1429, 1554, 1427],
-    [1190, 1322, 1563, 1427],
-    [1191, 1323, 1565, 1429],
-    [1185, 1200, 1317, 1308],
-    [1185, 1200, 1443, 1564, 1428],
-    [1200, 1317, 1576, 1443],
-    [1185, 1308, 1553, 1428],
-    [1184, 1198, 1316, 1306],
-    [1184, 1198, 1442, 1561, 1425],
-    [1198, 1316, 1574, 1442],
-    [1184, 1306, 1552, 1425],
-    [1183, 1305, 1551, 1426],
-    [1183, 1197, 1315, 1305],
-    [1183, 1197, 1441, 1562, 1426],
-    [1197, 1315, 1573, 1441],
-    [1182, 1195, 1314, 1303],
-    [1182, 1303, 1550, 1423],
-    [1182, 1195, 1440, 1559, 1423],
-    [1195, 1314, 1571, 1440],
-    [1188, 1189, 1321, 1320],
-    [1188, 1189, 1424, 1549, 1422],
-    [1189, 1321, 1560, 1424],
-    [1188, 1320, 1558, 1422],
-    [1175, 1181, 1313, 1301],
-    [1175, 1181, 1421, 1536, 1409],
-    [1181, 1313, 1557, 1421],
-    [1175, 1301, 1542, 1409],
-    [1174, 1180, 1311, 1301],
-    [1174, 1180, 1420, 1535, 1407],
-    [1180, 1311, 1556, 1420],
-    [1174, 1301, 1542, 1407],
-    [1173, 1179, 1308, 1296],
-    [1173, 1179, 1419, 1534, 1404],
-    [1179, 1308, 1553, 1419],
-    [1173, 1296, 1539, 1404],
-    [1172, 1178, 1306, 1296],
-    [1172, 1178, 1417, 1533, 1402],
-    [1178, 1306, 1552, 1417],
-    [1172, 1296, 1539, 1402],
-    [1171, 1177, 1305, 1295],
-    [1171, 1177, 1418, 1532, 1401],
-    [1177, 1305, 1551, 1418],
-    [1171, 1295, 1538, 1401],
-    [1170, 1176, 1303, 1295],
-    [1170, 1176, 1416, 1531, 1399],
-    [1176, 1303, 1550, 1416],
-    [1170, 1295, 1538, 1399],
-    [1168, 1169, 1284, 1283],
-    [1168, 1169, 1415, 1541, 1414],
-    [1168, 1283, 1527, 1414],
-    [1169, 1284, 1529, 1415],
-    [1166, 1281, 1524, 1412],
-    [1166, 1167, 1282, 1281],
-    [1166, 1167, 1413, 1540, 1412],
-    [1167, 1282, 1526, 1413],
-    [1164, 1165, 1276, 1275],
-    [1164, 1165, 1411, 1537, 1410],
-    [1165, 1276, 1521, 1411],
-    [1164, 1275, 1519, 1410],
-    [1157, 1163, 1284, 1273],
-    [1157, 1163, 1408, 1530, 1397],
-    [1157, 1273, 1515, 1397],
-    [1163, 1284, 1529, 1408],
-    [1156, 1161, 1282, 1271],
-    [1156, 1161, 1406, 1528, 1396],
-    [1161, 1282, 1526, 1406],
-    [1156, 1271, 1514, 1396],
-    [1162, 1283, 1527, 1405],
-    [1155, 1162, 1283, 1272],
-    [1155, 1162, 1405, 1525, 1395],
-    [1155, 1272, 1513, 1395],
-    [1154, 1160, 1281, 1270],
-    [1154, 1160, 1403, 1523, 1394],
-    [1160, 1281, 1524, 1403],
-    [1154, 1270, 1512, 1394],
-    [1153, 1159, 1276, 1267],
-    [1153, 1267, 1511, 1393],
-    [1159, 1276, 1521, 1400],
-    [1153, 1159, 1400, 1522, 1393],
-    [1152, 1158, 1275, 1266],
-    [1152, 1158, 1398, 1520, 1392],
-    [1152, 1266, 1510, 1392],
-    [1158, 1275, 1519, 1398],
-    [1145, 1151, 1273, 1265],
-    [1151, 1273, 1515, 1391],
-    [1145, 1151, 1391, 1509, 1385],
-    [1145, 1265, 1507, 1385],
-    [1143, 1150, 1271, 1264],
-    [1143, 1264, 1506, 1384],
-    [1143, 1150, 1390, 1508, 1384],
-    [1150, 1271, 1514, 1390],
-    [1144, 1149, 1272, 1265],
-    [1144, 1149, 1389, 1505, 1383],
-    [1149, 1272, 1513, 1389],
-    [1144, 1265, 1507, 1383],
-    [1142, 1148, 1270, 1264],
-    [1142, 1148, 1387, 1503, 1382],
-    [1142, 1264, 1506, 1382],
-    [1148, 1270, 1512, 1387],
-    [1141, 1147, 1267, 1263],
-    [1141, 1147, 1388, 1504, 1381],
-    [1147, 1267, 1511, 1388],
-    [1141, 1263, 1501, 1381],
-    [1140, 1146, 1266, 1263],
-    [1140, 1146, 1386, 1502, 1380],
-    [1146, 1266, 1510, 1386],
-    [1140, 1263, 1501, 1380],
-    [1378, 1379, 1499, 1498],
-    [1378, 1379, 1639],
-    [1498, 1499, 1699],
-    [1498, 1499, 1638],
-    [1377, 1379, 1497, 1495],
-    [1377, 1379, 1639],
-    [1495, 1497, 1698],
-    [1495, 1497, 1633],
-    [1377, 1378, 1496, 1494],
-    [1377, 1378, 1639],
-    [1494, 1496, 1697],
-    [1494, 1496, 1632],
-    [1487, 1493, 1629],
-    [1487, 1493, 1696],
-    [1362, 1371, 1493, 1487],
-    [1362, 1371, 1623],
-    [1485, 1492, 1627],
-    [1485, 1492, 1695],
-    [1361, 1371, 1492, 1485],
-    [1361, 1371, 1623],
-    [1486, 1491, 1628],
-    [1486, 1491, 1694],
-    [1360, 1370, 1491, 1486],
-    [1360, 1370, 1622],
-    [1484, 1490, 1626],
-    [1484, 1490, 1693],
-    [1359, 1370, 1490, 1484],
-    [1359, 1370, 1622],
-    [1483, 1489, 1625],
-    [1483, 1489, 1692],
-    [1354, 1365, 1489, 1483],
-    [1354, 1365, 1621],
-    [1482, 1488, 1624],
-    [1482, 1488, 1691],
-    [1353, 1365, 1488, 1482],
-    [1353, 1365, 1621],
-    [1361, 1362, 1480, 1478],
-    [1361, 1362, 1623],
-    [1478, 1480, 1690],
-    [1478, 1480, 1601],
-    [1359, 1360, 1477, 1475],
-    [1359, 1360, 1622],
-    [1475, 1477, 1689],
-    [1475, 1477, 1600],
-    [1353, 1354, 1472, 1470],
-    [1353, 1354, 1621],
-    [1470, 1472, 1688],
-    [1470, 1472, 1597],
-    [1469, 1481, 1620],
-    [1469, 1481, 1687],
-    [1346, 1352, 1481, 1469],
-    [1346, 1352, 1596],
-    [1468, 1479, 1618],
-    [1468, 1479, 1686],
-    [1345, 1351, 1479, 1468],
-    [1345, 1351, 1595],
-    [1467, 1476, 1615],
-    [1467, 1476, 1685],
-    [1342, 1350, 1476, 1467],
-    [1342, 1350, 1594],
-    [1466, 1473, 1613],
-    [1466, 1473, 1684],
-    [1341, 1348, 1473, 1466],
-    [1341, 1348, 1592],
-    [1465, 1474, 1612],
-    [1465, 1474, 1683],
-    [1340, 1349, 1474, 1465],
-    [1340, 1349, 1593],
-    [1464, 1471, 1610],
-    [1464, 1471, 1682],
-    [1339, 1347, 1471, 1464],
-    [1339, 1347, 1591],
-    [1337, 1352, 1463, 1456],
-    [1337, 1352, 1596],
-    [1456, 1463, 1681],
-    [1456, 1463, 1589],
-    [1335, 1351, 1462, 1454],
-    [1335, 1351, 1595],
-    [1454, 1462, 1680],
-    [1454, 1462, 1587],
-    [1332, 1350, 1461, 1453],
-    [1332, 1350, 1594],
-    [1453, 1461, 1679],
-    [1453, 1461, 1588],
-    [1330, 1349, 1460, 1451],
-    [1330, 1349, 1593],
-    [1451, 1460, 1678],
-    [1451, 1460, 1586],
-    [1329, 1348, 1459, 1448],
-    [1329, 1348, 1592],
-    [1448, 1459, 1677],
-    [1448, 1459, 1583],
-    [1327, 1347, 1458, 1446],
-    [1327, 1347, 1591],
-    [1446, 1458, 1676],
-    [1446, 1458, 1582],
-    [1337, 1346, 1457, 1445],
-    [1337, 1346, 1596],
-    [1445, 1457, 1675],
-    [1445, 1457, 1581],
-    [1335, 1345, 1455, 1444],
-    [1335, 1345, 1595],
-    [1444, 1455, 1674],
-    [1444, 1455, 1579],
-    [1332, 1342, 1452, 1443],
-    [1332, 1342, 1594],
-    [1443, 1452, 1673],
-    [1443, 1452, 1576],
-    [1329, 1341, 1450, 1442],
-    [1329, 1341, 1592],
-    [1442, 1450, 1672],
-    [1442, 1450, 1574],
-    [1330, 1340, 1449, 1441],
-    [1330, 1340, 1593],
-    [1441, 1449, 1671],
-    [1441, 1449, 1573],
-    [1327, 1339, 1447, 1440],
-    [1327, 1339, 1591],
-    [1440, 1447, 1670],
-    [1440, 1447, 1571],
-    [1432, 1439, 1568],
-    [1432, 1439, 1669],
-    [1300, 1312, 1439, 1432],
-    [1300, 1312, 1548],
-    [1430, 1438, 1566],
-    [1430, 1438, 1668],
-    [1299, 1309, 1438, 1430],
-    [1299, 1309, 1546],
-    [1429, 1437, 1565],
-    [1429, 1437, 1667],
-    [1298, 1310, 1437, 1429],
-    [1298, 1310, 1547],
-    [1427, 1436, 1563],
-    [1427, 1436, 1666],
-    [1297, 1307, 1436, 1427],
-    [1297, 1307, 1545],
-    [1424, 1435, 1560],
-    [1424, 1435, 1665],
-    [1294, 1304, 1435, 1424],
-    [1294, 1304, 1544],
-    [1422, 1434, 1558],
-    [1422, 1434, 1664],
-    [1293, 1302, 1434, 1422],
-    [1293, 1302, 1543],
-    [1421, 1433, 1557],
-    [1421, 1433, 1663],
-    [1292, 1312, 1433, 1421],
-    [1292, 1312, 1548],
-    [1420, 1431, 1556],
-    [1420, 1431, 1662],
-    [1291, 1310, 1431, 1420],
-    [1291, 1310, 1547],
-    [1419, 1428, 1553],
-    [1419, 1428, 1661],
-    [1290, 1309, 1428, 1419],
-    [1290, 1309, 1546],
-    [1418, 1426, 1551],
-    [1418, 1426, 1660],
-    [1289, 1307, 1426, 1418],
-    [1289, 1307, 1545],
-    [1417, 1425, 1552],
-    [1417, 1425, 1659],
-    [1288, 1304, 1425, 1417],
-    [1288, 1304, 1544],
-    [1416, 1423, 1550],
-    [1416, 1423, 1658],
-    [1287, 1302, 1423, 1416],
-    [1287, 1302, 1543],
-    [1292, 1300, 1415, 1408],
-    [1292, 1300, 1548],
-    [1408, 1415, 1657],
-    [1408, 1415, 1529],
-    [1290, 1299, 1414, 1405],
-    [1290, 1299, 1546],
-    [1405, 1414, 1656],
-    [1405, 1414, 1527],
-    [1291, 1298, 1413, 1406],
-    [1291, 1298, 1547],
-    [1406, 1413, 1655],
-    [1406, 1413, 1526],
-    [1289, 1297, 1412, 1403],
-    [1289, 1297, 1545],
-    [1403, 1412, 1654],
-    [1403, 1412, 1524],
-    [1288, 1294, 1411, 1400],
-    [1288, 1294, 1544],
-    [1400, 1411, 1653],
-    [1400, 1411, 1521],
-    [1287, 1293, 1410, 1398],
-    [1287, 1293, 1543],
-    [1398, 1410, 1652],
-    [1398, 1410, 1519],
-    [1407, 1409, 1542],
-    [1407, 1409, 1651],
-    [1285, 1286, 1409, 1407],
-    [1285, 1286, 1518],
-    [1402, 1404, 1539],
-    [1402, 1404, 1650],
-    [1279, 1280, 1404, 1402],
-    [1279, 1280, 1517],
-    [1399, 1401, 1538],
-    [1399, 1401, 1649],
-    [1277, 1278, 1401, 1399],
-    [1277, 1278, 1516],
-    [1274, 1286, 1397, 1391],
-    [1274, 1286, 1518],
-    [1391, 1397, 1648],
-    [1391, 1397, 1515],
-    [1274, 1285, 1396, 1390],
-    [1274, 1285, 1518],
-    [1390, 1396, 1647],
-    [1390, 1396, 1514],
-    [1269, 1280, 1395, 1389],
-    [1269, 1280, 1517],
-    [1389, 1395, 1646],
-    [1389, 1395, 1513],
-    [1269, 1279, 1393, 1388],
-    [1269, 1279, 1517],
-    [1388, 1393, 1645],
-    [1388, 1393, 1511],
-    [1268, 1278, 1394, 1387],
-    [1268, 1278, 1516],
-    [1387, 1394, 1644],
-    [1387, 1394, 1512],
-    [1268, 1277, 1392, 1386],
-    [1268, 1277, 1516],
-    [1386, 1392, 1643],
-    [1386, 1392, 1510],
-    [1383, 1385, 1507],
-    [1383, 1385, 1642],
-    [1261, 1262, 1385, 1383],
-    [1261, 1262, 1500],
-    [1382, 1384, 1506],
-    [1382, 1384, 1641],
-    [1260, 1262, 1384, 1382],
-    [1260, 1262, 1500],
-    [1380, 1381, 1501],
-    [1380, 1381, 1640],
-    [1260, 1261, 1381, 1380],
-    [1260, 1261, 1500],
-    [1377, 1378, 1379],
-    [1258, 1259, 1376],
-    [1258, 1259, 1499, 1498],
-    [896, 897, 1013, 1131, 1012],
-    [896, 897, 1019, 1139, 1017],
-    [896, 1012, 1251, 1257, 1017],
-    [897, 1013, 1253, 1259, 1019],
-    [1013, 1131, 1371, 1493, 1253],
-    [1012, 1131, 1371, 1492, 1251],
-    [1019, 1139, 1379, 1499, 1259],
-    [1017, 1139, 1379, 1497, 1257],
-    [894, 1010, 1250, 1255, 1016],
-    [895, 1011, 1252, 1258, 1018],
-    [894, 895, 1011, 1130, 1010],
-    [894, 895, 1018, 1138, 1016],
-    [1011, 1130, 1370, 1491, 1252],
-    [1010, 1130, 1370, 1490, 1250],
-    [1018, 1138, 1378, 1498, 1258],
-    [1016, 1138, 1378, 1496, 1255],
-    [1256, 1257, 1375],
-    [1256, 1257, 1497, 1495],
-    [1254, 1255, 1374],
-    [1254, 1255, 1496, 1494],
-    [890, 891, 1009, 1125, 1008],
-    [890, 891, 1015, 1137, 1014],
-    [891, 1009, 1249, 1256, 1015],
-    [890, 1008, 1248, 1254, 1014],
-    [1008, 1125, 1365, 1488, 1248],
-    [1009, 1125, 1365, 1489, 1249],
-    [1014, 1137, 1377, 1494, 1254],
-    [1015, 1137, 1377, 1495, 1256],
-    [1247, 1253, 1373],
-    [1247, 1253, 1493, 1487],
-    [1246, 1252, 1372],
-    [1246, 1252, 1491, 1486],
-    [1245, 1251, 1369],
-    [1245, 1251, 1492, 1485],
-    [1244, 1250, 1367],
-    [1244, 1250, 1490, 1484],
-    [1243, 1249, 1368],
-    [1243, 1249, 1489, 1483],
-    [1242, 1248, 1366],
-    [1242, 1248, 1488, 1482],
-    [1361, 1362, 1371],
-    [1359, 1360, 1370],
-    [1353, 1354, 1365],
-    [1235, 1241, 1364],
-    [1235, 1241, 1481, 1469],
-    [868, 879, 1007, 1122, 1000],
-    [868, 879, 1001, 1112, 983],
-    [868, 983, 1223, 1229, 1000],
-    [879, 1001, 1241, 1247, 1007],
-    [983, 1112, 1352, 1463, 1223],
-    [1001, 1112, 1352, 1481, 1241],
-    [1000, 1122, 1362, 1480, 1229],
-    [1007, 1122, 1362, 1487, 1247],
-    [1234, 1240, 1363],
-    [1234, 1240, 1479, 1468],
-    [866, 877, 999, 1111, 982],
-    [866, 877, 1006, 1120, 997],
-    [866, 982, 1221, 1227, 997],
-    [877, 999, 1240, 1246, 1006],
-    [982, 1111, 1351, 1462, 1221],
-    [999, 1111, 1351, 1479, 1240],
-    [997, 1120, 1360, 1477, 1227],
-    [1006, 1120, 1360, 1486, 1246],
-    [867, 876, 996, 1110, 981],
-    [867, 981, 1222, 1228, 998],
-    [876, 996, 1239, 1245, 1005],
-    [867, 876, 1005, 1121, 998],
-    [981, 1110, 1350, 1461, 1222],
-    [996, 1110, 1350, 1476, 1239],
-    [998, 1121, 1361, 1478, 1228],
-    [1005, 1121, 1361, 1485, 1245],
-    [1233, 1239, 1358],
-    [1233, 1239, 1476, 1467],
-    [865, 874, 994, 1109, 980],
-    [865, 874, 1004, 1119, 995],
-    [865, 980, 1220, 1226, 995],
-    [874, 994, 1237, 1244, 1004],
-    [980, 1109, 1349, 1460, 1220],
-    [994, 1109, 1349, 1474, 1237],
-    [1004, 1119, 1359, 1484, 1244],
-    [995, 1119, 1359, 1475, 1226],
-    [1232, 1238, 1357],
-    [1232, 1238, 1473, 1466],
-    [1231, 1237, 1356],
-    [1231, 1237, 1474, 1465],
-    [871, 993, 1238, 1243, 1003],
-    [864, 871, 993, 1108, 979],
-    [864, 979, 1219, 1225, 992],
-    [864, 871, 1003, 1114, 992],
-    [979, 1108, 1348, 1459, 1219],
-    [993, 1108, 1348, 1473, 1238],
-    [992, 1114, 1354, 1472, 1225],
-    [1003, 1114, 1354, 1483, 1243],
-    [1230, 1236, 1355],
-    [1230, 1236, 1471, 1464],
-    [863, 869, 991, 1107, 978],
-    [863, 869, 1002, 1113, 990],
-    [863, 978, 1218, 1224, 990],
-    [869, 991, 1236, 1242, 1002],
-    [978, 1107, 1347, 1458, 1218],
-    [991, 1107, 1347, 1471, 1236],
-    [990, 1113, 1353, 1470, 1224],
-    [1002, 1113, 1353, 1482, 1242],
-    [850, 975, 1210, 1211, 977],
-    [862, 988, 1234, 1235, 989],
-    [850, 862, 988, 1105, 975],
-    [850, 862, 989, 1106, 977],
-    [975, 1105, 1345, 1455, 1210],
-    [977, 1106, 1346, 1457, 1211],
-    [989, 1106, 1346, 1469, 1235],
-    [988, 1105, 1345, 1468, 1234],
-    [1228, 1229, 1344],
-    [1228, 1229, 1480, 1478],
-    [1226, 1227, 1343],
-    [1226, 1227, 1477, 1475],
-    [845, 859, 987, 1102, 972],
-    [845, 970, 1208, 1209, 972],
-    [845, 859, 986, 1101, 970],
-    [859, 986, 1232, 1233, 987],
-    [972, 1102, 1342, 1452, 1209],
-    [970, 1101, 1341, 1450, 1208],
-    [986, 1101, 1341, 1466, 1232],
-    [987, 1102, 1342, 1467, 1233],
-    [844, 967, 1206, 1207, 969],
-    [844, 858, 985, 1100, 969],
-    [858, 984, 1230, 1231, 985],
-    [844, 858, 984, 1099, 967],
-    [969, 1100, 1340, 1449, 1207],
-    [967, 1099, 1339, 1447, 1206],
-    [984, 1099, 1339, 1464, 1230],
-    [985, 1100, 1340, 1465, 1231],
-    [1224, 1225, 1338],
-    [1224, 1225, 1472, 1470],
-    [1337, 1346, 1352],
-    [1335, 1345, 1351],
-    [1332, 1342, 1350],
-    [1330, 1340, 1349],
-    [1329, 1341, 1348],
-    [1327, 1339, 1347],
-    [1217, 1223, 1336],
-    [1217, 1223, 1463, 1456],
-    [1216, 1222, 1334],
-    [1216, 1222, 1461, 1453],
-    [1215, 1221, 1333],
-    [1215, 1221, 1462, 1454],
-    [1214, 1220, 1331],
-    [1214, 1220, 1460, 1451],
-    [1213, 1219, 1328],
-    [1213, 1219, 1459, 1448],
-    [1212, 1218, 1326],
-    [1212, 1218, 1458, 1446],
-    [1205, 1211, 1319],
-    [1205, 1211, 1457, 1445],
-    [829, 840, 959, 1072, 953],
-    [829, 840, 976, 1097, 965],
-    [840, 959, 1204, 1217, 976],
-    [829, 953, 1187, 1205, 965],
-    [953, 1072, 1312, 1433, 1187],
-    [959, 1072, 1312, 1439, 1204],
-    [965, 1097, 1337, 1445, 1205],
-    [976, 1097, 1337, 1456, 1217],
-    [1203, 1210, 1318],
-    [1203, 1210, 1455, 1444],
-    [827, 838, 957, 1070, 951],
-    [827, 838, 974, 1095, 964],
-    [838, 957, 1201, 1215, 974],
-    [827, 951, 1186, 1203, 964],
-    [951, 1070, 1310, 1431, 1186],
-    [957, 1070, 1310, 1437, 1201],
-    [964, 1095, 1335, 1444, 1203],
-    [974, 1095, 1335, 1454, 1215],
-    [824, 837, 973, 1092, 963],
-    [824, 948, 1185, 1200, 963],
-    [824, 837, 958, 1069, 948],
-    [837, 958, 1202, 1216, 973],
-    [948, 1069, 1309, 1428, 1185],
-    [958, 1069, 1309, 1438, 1202],
-    [973, 1092, 1332, 1453, 1216],
-    [963, 1092, 1332, 1443, 1200],
-    [1200, 1209, 1317],
-    [1200, 1209, 1452, 1443],
-    [822, 835, 956, 1067, 946],
-    [835, 956, 1199, 1214, 971],
-    [822, 835, 971, 1090, 961],
-    [822, 946, 1183, 1197, 961],
-    [956, 1067, 1307, 1436, 1199],
-    [946, 1067, 1307, 1426, 1183],
-    [961, 1090, 1330, 1441, 1197],
-    [971, 1090, 1330, 1451, 1214],
-    [1198, 1208, 1316],
-    [1198, 1208, 1450, 1442],
-    [1197, 1207, 1315],
-    [1197, 1207, 1449, 1441],
-    [821, 832, 968, 1089, 962],
-    [821, 832, 955, 1064, 945],
-    [821, 945, 1184, 1198, 962],
-    [832, 955, 1196, 1213, 968],
-    [945, 1064, 1304, 1425, 1184],
-    [955, 1064, 1304, 1435, 1196],
-    [962, 1089, 1329, 1442, 1198],
-    [968, 1089, 1329, 1448, 1213],
-    [1195, 1206, 1314],
-    [1195, 1206, 1447, 1440],
-    [819, 830, 966, 1087, 960],
-    [819, 830, 954, 1062, 943],
-    [819, 943, 1182, 1195, 960],
-    [830, 954, 1194, 1212, 966],
-    [943, 1062, 1302, 1423, 1182],
-    [954, 1062, 1302, 1434, 1194],
-    [960, 1087, 1327, 1440, 1195],
-    [966, 1087, 1327, 1446, 1212],
-    [1193, 1204, 1325],
-    [1193, 1204, 1439, 1432],
-    [1192, 1202, 1324],
-    [1192, 1202, 1438, 1430],
-    [1191, 1201, 1323],
-    [1191, 1201, 1437, 1429],
-    [1190, 1199, 1322],
-    [1190, 1199, 1436, 1427],
-    [1189, 1196, 1321],
-    [1189, 1196, 1435, 1424],
-    [1188, 1194, 1320],
-    [1188, 1194, 1434, 1422],
-    [1181, 1187, 1313],
-    [1181, 1187, 1433, 1421],
-    [1180, 1186, 1311],
-    [1180, 1186, 1431, 1420],
-    [815, 950, 1192, 1193, 952],
-    [801, 815, 950, 1059, 934],
-    [801, 934, 1168, 1169, 935],
-    [801, 815, 952, 1060, 935],
-    [934, 1059, 1299, 1414, 1168],
-    [935, 1060, 1300, 1415, 1169],
-    [952, 1060, 1300, 1432, 1193],
-    [950, 1059, 1299, 1430, 1192],
-    [800, 814, 947, 1057, 932],
-    [814, 947, 1190, 1191, 949],
-    [800, 814, 949, 1058, 933],
-    [800, 932, 1166, 1167, 933],
-    [932, 1057, 1297, 1412, 1166],
-    [933, 1058, 1298, 1413, 1167],
-    [949, 1058, 1298, 1429, 1191],
-    [947, 1057, 1297, 1427, 1190],
-    [1179, 1185, 1308],
-    [1179, 1185, 1428, 1419],
-    [1178, 1184, 1306],
-    [1178, 1184, 1425, 1417],
-    [1177, 1183, 1305],
-    [1177, 1183, 1426, 1418],
-    [1176, 1182, 1303],
-    [1176, 1182, 1423, 1416],
-    [809, 942, 1188, 1189, 944],
-    [797, 930, 1164, 1165, 931],
-    [797, 809, 944, 1054, 931],
-    [797, 809, 942, 1053, 930],
-    [931, 1054, 1294, 1411, 1165],
-    [930, 1053, 1293, 1410, 1164],
-    [942, 1053, 1293, 1422, 1188],
-    [944, 1054, 1294, 1424, 1189],
-    [1292, 1300, 1312],
-    [1291, 1298, 1310],
-    [1290, 1299, 1309],
-    [1289, 1297, 1307],
-    [1288, 1294, 1304],
-    [1287, 1293, 1302],
-    [1174, 1175, 1301],
-    [1174, 1175, 1409, 1407],
-    [1172, 1173, 1296],
-    [1172, 1173, 1404, 1402],
-    [1170, 1171, 1295],
-    [1170, 1171, 1401, 1399],
-    [790, 796, 929, 1046, 917],
-    [790, 796, 941, 1052, 928],
-    [790, 917, 1157, 1163, 928],
-    [796, 929, 1175, 1181, 941],
-    [917, 1046, 1286, 1397, 1157],
-    [929, 1046, 1286, 1409, 1175],
-    [928, 1052, 1292, 1408, 1163],
-    [941, 1052, 1292, 1421, 1181],
-    [788, 916, 1156, 1161, 926],
-    [788, 795, 940, 1051, 926],
-    [795, 927, 1174, 1180, 940],
-    [788, 795, 927, 1045, 916],
-    [916, 1045, 1285, 1396, 1156],
-    [927, 1045, 1285, 1407, 1174],
-    [926, 1051, 1291, 1406, 1161],
-    [940, 1051, 1291, 1420, 1180],
-    [785, 794, 939, 1050, 925],
-    [785, 794, 924, 1040, 915],
-    [794, 924, 1173, 1179, 939],
-    [785, 915, 1155, 1162, 925],
-    [924, 1040, 1280, 1404, 1173],
-    [915, 1040, 1280, 1395, 1155],
-    [925, 1050, 1290, 1405, 1162],
-    [939, 1050, 1290, 1419, 1179],
-    [782, 793, 922, 1039, 913],
-    [782, 793, 937, 1048, 920],
-    [793, 922, 1172, 1178, 937],
-    [782, 913, 1153, 1159, 920],
-    [913, 1039, 1279, 1393, 1153],
-    [922, 1039, 1279, 1402, 1172],
-    [920, 1048, 1288, 1400, 1159],
-    [937, 1048, 1288, 1417, 1178],
-    [783, 792, 938, 1049, 923],
-    [783, 914, 1154, 1160, 923],
-    [792, 921, 1171, 1177, 938],
-    [783, 792, 921, 1038, 914],
-    [914, 1038, 1278, 1394, 1154],
-    [921, 1038, 1278, 1401, 1171],
-    [923, 1049, 1289, 1403, 1160],
-    [938, 1049, 1289, 1418, 1177],
-    [780, 791, 919, 1037, 912],
-    [780, 791, 936, 1047, 918],
-    [791, 919, 1170, 1176, 936],
-    [780, 912, 1152, 1158, 918],
-    [912, 1037, 1277, 1392, 1152],
-    [919, 1037, 1277, 1399, 1170],
-    [918, 1047, 1287, 1398, 1158],
-    [936, 1047, 1287, 1416, 1176],
-    [1163, 1169, 1284],
-    [1163, 1169, 1415, 1408],
-    [1162, 1168, 1283],
-    [1162, 1168, 1414, 1405],
-    [1161, 1167, 1282],
-    [1161, 1167, 1413, 1406],
-    [1160, 1166, 1281],
-    [1160, 1166, 1412, 1403],
-    [1159, 1165, 1276],
-    [1159, 1165, 1411, 1400],
-    [1158, 1164, 1275],
-    [1158, 1164, 1410, 1398],
-    [1274, 1285, 1286],
-    [1269, 1279, 1280],
-    [1268, 1277, 1278],
-    [1151, 1157, 1273],
-    [1151, 1157, 1397, 1391],
-    [1150, 1156, 1271],
-    [1150, 1156, 1396, 1390],
-    [1149, 1155, 1272],
-    [1149, 1155, 1395, 1389],
-    [1148, 1154, 1270],
-    [1148, 1154, 1394, 1387],
-    [1147, 1153, 1267],
-    [1147, 1153, 1393, 1388],
-    [1146, 1152, 1266],
-    [1146, 1152, 1392, 1386],
-    [768, 769, 911, 1034, 910],
-    [768, 769, 905, 1022, 904],
-    [768, 904, 1143, 1150, 910],
-    [769, 905, 1145, 1151, 911],
-    [904, 1022, 1262, 1384, 1143],
-    [905, 1022, 1262, 1385, 1145],
-    [910, 1034, 1274, 1390, 1150],
-    [911, 1034, 1274, 1391, 1151],
-    [1144, 1145, 1265],
-    [1144, 1145, 1385, 1383],
-    [1142, 1143, 1264],
-    [1142, 1143, 1384, 1382],
-    [765, 903, 1144, 1149, 909],
-    [764, 901, 1141, 1147, 908],
-    [764, 765, 909, 1029, 908],
-    [764, 765, 903, 1021, 901],
-    [903, 1021, 1261, 1383, 1144],
-    [901, 1021, 1261, 1381, 1141],
-    [909, 1029, 1269, 1389, 1149],
-    [908, 1029, 1269, 1388, 1147],
-    [762, 763, 907, 1028, 906],
-    [762, 763, 902, 1020, 900],
-    [763, 902, 1142, 1148, 907],
-    [762, 900, 1140, 1146, 906],
-    [902, 1020, 1260, 1382, 1142],
-    [900, 1020, 1260, 1380, 1140],
-    [907, 1028, 1268, 1387, 1148],
-    [906, 1028, 1268, 1386, 1146],
-    [1140, 1141, 1263],
-    [1140, 1141, 1381, 1380],
-    [1260, 1261, 1262],
-    [1018, 1019, 1139, 1138],
-    [1018, 1019, 1259, 1258],
-    [1138, 1139, 1379, 1378],
-    [1015, 1017, 1139, 1137],
-    [1015, 1017, 1257, 1256],
-    [1137, 1139, 1379, 1377],
-    [1014, 1016, 1138, 1137],
-    [1014, 1016, 1255, 1254],
-    [1137, 1138, 1378, 1377],
-    [1007, 1013, 1131, 1122],
-    [1007, 1013, 1253, 1247],
-    [1122, 1131, 1371, 1362],
-    [1005, 1012, 1131, 1121],
-    [1005, 1012, 1251, 1245],
-    [1121, 1131, 1371, 1361],
-    [1006, 1011, 1130, 1120],
-    [1006, 1011, 1252, 1246],
-    [1120, 1130, 1370, 1360],
-    [1004, 1010, 1130, 1119],
-    [1004, 1010, 1250, 1244],
-    [1119, 1130, 1370, 1359],
-    [1003, 1009, 1125, 1114],
-    [1003, 1009, 1249, 1243],
-    [1114, 1125, 1365, 1354],
-    [1002, 1008, 1125, 1113],
-    [1002, 1008, 1248, 1242],
-    [1113, 1125, 1365, 1353],
-    [989, 1001, 1112, 1106],
-    [989, 1001, 1241, 1235],
-    [1106, 1112, 1352, 1346],
-    [998, 1000, 1122, 1121],
-    [998, 1000, 1229, 1228],
-    [1121, 1122, 1362, 1361],
-    [988, 999, 1111, 1105],
-    [988, 999, 1240, 1234],
-    [1105, 1111, 1351, 1345],
-    [995, 997, 1120, 1119],
-    [995, 997, 1227, 1226],
-    [1119, 1120, 1360, 1359],
-    [987, 996, 1110, 1102],
-    [987, 996, 1239, 1233],
-    [1102, 1110, 1350, 1342],
-    [985, 994, 1109, 1100],
-    [985, 994, 1237, 1231],
-    [1100, 1109, 1349, 1340],
-    [986, 993, 1108, 1101],
-    [986, 993, 1238, 1232],
-    [1101, 1108, 1348, 1341],
-    [990, 992, 1114, 1113],
-    [990, 992, 1225, 1224],
-    [1113, 1114, 1354, 1353],
-    [984, 991, 1107, 1099],
-    [984, 991, 1236, 1230],
-    [1099, 1107, 1347, 1339],
-    [976, 983, 1112, 1097],
-    [976, 983, 1223, 1217],
-    [1097, 1112, 1352, 1337],
-    [974, 982, 1111, 1095],
-    [974, 982, 1221, 1215],
-    [1095, 1111, 1351, 1335],
-    [973, 981, 1110, 1092],
-    [973, 981, 1222, 1216],
-    [1092, 1110, 1350, 1332],
-    [971, 980, 1109, 1090],
-    [971, 980, 1220, 1214],
-    [1090, 1109, 1349, 1330],
-    [968, 979, 1108, 1089],
-    [968, 979, 1219, 1213],
-    [1089, 1108, 1348, 1329],
-    [966, 978, 1107, 1087],
-    [966, 978, 1218, 1212],
-    [1087, 1107, 1347, 1327],
-    [965, 977, 1106, 1097],
-    [965, 977, 1211, 1205],
-    [1097, 1106, 1346, 1337],
-    [964, 975, 1105, 1095],
-    [964, 975, 1210, 1203],
-    [1095, 1105, 1345, 1335],
-    [963, 972, 1209, 1200],
-    [963, 972, 1102, 1092],
-    [1092, 1102, 1342, 1332],
-    [962, 970, 1101, 1089],
-    [962, 970, 1208, 1198],
-    [1089, 1101, 1341, 1329],
-    [961, 969, 1100, 1090],
-    [961, 969, 1207, 1197],
-    [1090, 1100, 1340, 1330],
-    [960, 967, 1099, 1087],
-    [960, 967, 1206, 1195],
-    [1087, 1099, 1339, 1327],
-    [952, 959, 1072, 1060],
-    [952, 959, 1204, 1193],
-    [1060, 1072, 1312, 1300],
-    [950, 958, 1069, 1059],
-    [950, 958, 1202, 1192],
-    [1059, 1069, 1309, 1299],
-    [949, 957, 1070, 1058],
-    [949, 957, 1201, 1191],
-    [1058, 1070, 1310, 1298],
-    [947, 956, 1199, 1190],
-    [947, 956, 1067, 1057],
-    [1057, 1067, 1307, 1297],
-    [944, 955, 1064, 1054],
-    [944, 955, 1196, 1189],
-    [1054, 1064, 1304, 1294],
-    [942, 954, 1062, 1053],
-    [942, 954, 1194, 1188],
-    [1053, 1062, 1302, 1293],
-    [941, 953, 1072, 1052],
-    [941, 953, 1187, 1181],
-    [1052, 1072, 1312, 1292],
-    [940, 951, 1070, 1051],
-    [940, 951, 1186, 1180],
-    [1051, 1070, 1310, 1291],
-    [939, 948, 1069, 1050],
-    [939, 948, 1185, 1179],
-    [1050, 1069, 1309, 1290],
-    [938, 946, 1067, 1049],
-    [938, 946, 1183, 1177],
-    [1049, 1067, 1307, 1289],
-    [937, 945, 1064, 1048],
-    [937, 945, 1184, 1178],
-    [1048, 1064, 1304, 1288],
-    [936, 943, 1062, 1047],
-    [936, 943, 1182, 1176],
-    [1047, 1062, 1302, 1287],
-    [928, 935, 1060, 1052],
-    [928, 935, 1169, 1163],
-    [1052, 1060, 1300, 1292],
-    [925, 934, 1059, 1050],
-    [925, 934, 1168, 1162],
-    [1050, 1059, 1299, 1290],
-    [926, 933, 1058, 1051],
-    [926, 933, 1167, 1161],
-    [1051, 1058, 1298, 1291],
-    [923, 932, 1057, 1049],
-    [923, 932, 1166, 1160],
-    [1049, 1057, 1297, 1289],
-    [920, 931, 1054, 1048],
-    [920, 931, 1165, 1159],
-    [1048, 1054, 1294, 1288],
-    [918, 930, 1053, 1047],
-    [918, 930, 1164, 1158],
-    [1047, 1053, 1293, 1287],
-    [927, 929, 1046, 1045],
-    [927, 929, 1175, 1174],
-    [1045, 1046, 1286, 1285],
-    [922, 924, 1040, 1039],
-    [922, 924, 1173, 1172],
-    [1039, 1040, 1280, 1279],
-    [919, 921, 1038, 1037],
-    [919, 921, 1171, 1170],
-    [1037, 1038, 1278, 1277],
-    [911, 917, 1046, 1034],
-    [911, 917, 1157, 1151],
-    [1034, 1046, 1286, 1274],
-    [910, 916, 1045, 1034],
-    [910, 916, 1156, 1150],
-    [1034, 1045, 1285, 1274],
-    [909, 915, 1040, 1029],
-    [909, 915, 1155, 1149],
-    [1029, 1040, 1280, 1269],
-    [907, 914, 1038, 1028],
-    [907, 914, 1154, 1148],
-    [1028, 1038, 1278, 1268],
-    [908, 913, 1039, 1029],
-    [908, 913, 1153, 1147],
-    [1029, 1039, 1279, 1269],
-    [906, 912, 1037, 1028],
-    [906, 912, 1152, 1146],
-    [1028, 1037, 1277, 1268],
-    [903, 905, 1022, 1021],
-    [903, 905, 1145, 1144],
-    [1021, 1022, 1262, 1261],
-    [902, 904, 1022, 1020],
-    [902, 904, 1143, 1142],
-    [1020, 1022, 1262, 1260],
-    [900, 901, 1021, 1020],
-    [900, 901, 1141, 1140],
-    [1020, 1021, 1261, 1260],
-    [1137, 1138, 1139],
-    [1123, 1124, 1133, 1136, 1132],
-    [1123, 1124, 1364, 1363],
-    [1124, 1133, 1373, 1364],
-    [1123, 1132, 1372, 1363],
-    [1133, 1136, 1376, 1373],
-    [1132, 1136, 1376, 1372],
-    [1133, 1136, 1259, 1253],
-    [1133, 1253, 1373],
-    [1136, 1259, 1376],
-    [1132, 1136, 1258, 1252],
-    [1132, 1252, 1372],
-    [1136, 1258, 1376],
-    [1136, 1258, 1259],
-    [1117, 1118, 1129, 1135, 1128],
-    [1117, 1128, 1368, 1357],
-    [1117, 1118, 1358, 1357],
-    [1118, 1129, 1369, 1358],
-    [1128, 1135, 1375, 1368],
-    [1129, 1135, 1375, 1369],
-    [1129, 1135, 1257, 1251],
-    [1129, 1251, 1369],
-    [1135, 1257, 1375],
-    [1128, 1135, 1256, 1249],
-    [1128, 1249, 1368],
-    [1135, 1256, 1375],
-    [1135, 1256, 1257],
-    [1115, 1116, 1127, 1134, 1126],
-    [1115, 1116, 1356, 1355],
-    [1115, 1126, 1366, 1355],
-    [1116, 1127, 1367, 1356],
-    [1126, 1134, 1374, 1366],
-    [1127, 1134, 1374, 1367],
-    [1127, 1134, 1255, 1250],
-    [1127, 1250, 1367],
-    [1134, 1255, 1374],
-    [1126, 1134, 1254, 1248],
-    [1126, 1248, 1366],
-    [1134, 1254, 1374],
-    [1134, 1254, 1255],
-    [1124, 1133, 1247, 1241],
-    [1124, 1241, 1364],
-    [1133, 1247, 1373],
-    [1133, 1247, 1253],
-    [1123, 1132, 1246, 1240],
-    [1123, 1240, 1363],
-    [1132, 1246, 1372],
-    [1132, 1246, 1252],
-    [1121, 1122, 1131],
-    [1119, 1120, 1130],
-    [1118, 1129, 1245, 1239],
-    [1118, 1239, 1358],
-    [1129, 1245, 1369],
-    [1129, 1245, 1251],
-    [1117, 1128, 1243, 1238],
-    [1117, 1238, 1357],
-    [1128, 1243, 1368],
-    [1128, 1243, 1249],
-    [1116, 1127, 1244, 1237],
-    [1116, 1237, 1356],
-    [1127, 1244, 1367],
-    [1127, 1244, 1250],
-    [1115, 1126, 1242, 1236],
-    [1115, 1236, 1355],
-    [1126, 1242, 1366],
-    [1126, 1242, 1248],
-    [1113, 1114, 1125],
-    [1123, 1124, 1235, 1234],
-    [1123, 1234, 1363],
-    [1124, 1235, 1364],
-    [1124, 1235, 1241],
-    [1123, 1234, 1240],
-    [1117, 1118, 1233, 1232],
-    [1118, 1233, 1358],
-    [1117, 1232, 1357],
-    [1118, 1233, 1239],
-    [1117, 1232, 1238],
-    [1115, 1116, 1231, 1230],
-    [1116, 1231, 1356],
-    [1115, 1230, 1355],
-    [1116, 1231, 1237],
-    [1115, 1230, 1236],
-    [1097, 1106, 1112],
-    [1095, 1105, 1111],
-    [1092, 1102, 1110],
-    [1090, 1100, 1109],
-    [1089, 1101, 1108],
-    [1087, 1099, 1107],
-    [1084, 1085, 1096, 1104, 1094],
-    [1084, 1085, 1325, 1324],
-    [1084, 1094, 1334, 1324],
-    [1085, 1096, 1336, 1325],
-    [1096, 1104, 1344, 1336],
-    [1094, 1104, 1344, 1334],
-    [1096, 1104, 1229, 1223],
-    [1096, 1223, 1336],
-    [1104, 1229, 1344],
-    [1094, 1104, 1228, 1222],
-    [1094, 1222, 1334],
-    [1104, 1228, 1344],
-    [1104, 1228, 1229],
-    [1082, 1083, 1093, 1103, 1091],
-    [1082, 1083, 1323, 1322],
-    [1082, 1091, 1331, 1322],
-    [1083, 1093, 1333, 1323],
-    [1093, 1103, 1343, 1333],
-    [1091, 1103, 1343, 1331],
-    [1093, 1103, 1227, 1221],
-    [1093, 1221, 1333],
-    [1103, 1227, 1343],
-    [1091, 1103, 1226, 1220],
-    [1091, 1220, 1331],
-    [1103, 1226, 1343],
-    [1103, 1226, 1227],
-    [1080, 1081, 1088, 1098, 1086],
-    [1080, 1081, 1321, 1320],
-    [1081, 1088, 1328, 1321],
-    [1080, 1086, 1326, 1320],
-    [1086, 1098, 1338, 1326],
-    [1088, 1098, 1338, 1328],
-    [1088, 1098, 1225, 1219],
-    [1088, 1219, 1328],
-    [1098, 1225, 1338],
-    [1086, 1098, 1224, 1218],
-    [1086, 1218, 1326],
-    [1098, 1224, 1338],
-    [1098, 1224, 1225],
-    [1085, 1096, 1217, 1204],
-    [1085, 1204, 1325],
-    [1096, 1217, 1336],
-    [1096, 1217, 1223],
-    [1084, 1094, 1216, 1202],
-    [1084, 1202, 1324],
-    [1094, 1216, 1334],
-    [1094, 1216, 1222],
-    [1083, 1093, 1215, 1201],
-    [1083, 1201, 1323],
-    [1093, 1215, 1333],
-    [1093, 1215, 1221],
-    [1082, 1091, 1214, 1199],
-    [1082, 1199, 1322],
-    [1091, 1214, 1331],
-    [1091, 1214, 1220],
-    [1081, 1088, 1213, 1196],
-    [1081, 1196, 1321],
-    [1088, 1213, 1328],
-    [1088, 1213, 1219],
-    [1080, 1086, 1212, 1194],
-    [1080, 1194, 1320],
-    [1086, 1212, 1326],
-    [1086, 1212, 1218],
-    [1084, 1085, 1193, 1192],
-    [1084, 1192, 1324],
-    [1085, 1193, 1325],
-    [1085, 1193, 1204],
-    [1084, 1192, 1202],
-    [1082, 1083, 1191, 1190],
-    [1082, 1190, 1322],
-    [1083, 1191, 1323],
-    [1083, 1191, 1201],
-    [1082, 1190, 1199],
-    [1080, 1081, 1189, 1188],
-    [1080, 1188, 1320],
-    [1081, 1189, 1321],
-    [1081, 1189, 1196],
-    [1080, 1188, 1194],
-    [1061, 1071, 1078, 1079, 1073],
-    [1061, 1071, 1311, 1301],
-    [1061, 1073, 1313, 1301],
-    [1073, 1079, 1319, 1313],
-    [1071, 1078, 1318, 1311],
-    [1078, 1079, 1319, 1318],
-    [1078, 1079, 1211, 1210],
-    [1078, 1210, 1318],
-    [1079, 1211, 1319],
-    [1073, 1079, 1205, 1187],
-    [1073, 1187, 1313],
-    [1079, 1205, 1319],
-    [1079, 1205, 1211],
-    [1071, 1078, 1203, 1186],
-    [1071, 1186, 1311],
-    [1078, 1203, 1318],
-    [1078, 1203, 1210],
-    [1056, 1066, 1076, 1077, 1068],
-    [1056, 1068, 1308, 1296],
-    [1056, 1066, 1306, 1296],
-    [1066, 1076, 1316, 1306],
-    [1068, 1077, 1317, 1308],
-    [1076, 1077, 1317, 1316],
-    [1076, 1077, 1209, 1208],
-    [1076, 1208, 1316],
-    [1077, 1209, 1317],
-    [1068, 1077, 1200, 1185],
-    [1068, 1185, 1308],
-    [1077, 1200, 1317],
-    [1077, 1200, 1209],
-    [1066, 1076, 1198, 1184],
-    [1066, 1184, 1306],
-    [1076, 1198, 1316],
-    [1076, 1198, 1208],
-    [1055, 1063, 1074, 1075, 1065],
-    [1055, 1065, 1305, 1295],
-    [1055, 1063, 1303, 1295],
-    [1063, 1074, 1314, 1303],
-    [1065, 1075, 1315, 1305],
-    [1074, 1075, 1315, 1314],
-    [1074, 1075, 1207, 1206],
-    [1074, 1206, 1314],
-    [1075, 1207, 1315],
-    [1065, 1075, 1197, 1183],
-    [1065, 1183, 1305],
-    [1075, 1197, 1315],
-    [1075, 1197, 1207],
-    [1063, 1074, 1195, 1182],
-    [1063, 1182, 1303],
-    [1074, 1195, 1314],
-    [1074, 1195, 1206],
-    [1061, 1073, 1181, 1175],
-    [1061, 1175, 1301],
-    [1073, 1181, 1313],
-    [1073, 1181, 1187],
-    [1052, 1060, 1072],
-    [1061, 1071, 1180, 1174],
-    [1061, 1174, 1301],
-    [1071, 1180, 1311],
-    [1071, 1180, 1186],
-    [1051, 1058, 1070],
-    [1050, 1059, 1069],
-    [1056, 1068, 1179, 1173],
-    [1056, 1173, 1296],
-    [1068, 1179, 1308],
-    [1068, 1179, 1185],
-    [1049, 1057, 1067],
-    [1056, 1066, 1178, 1172],
-    [1056, 1172, 1296],
-    [1066, 1178, 1306],
-    [1066, 1178, 1184],
-    [1055, 1065, 1177, 1171],
-    [1055, 1171, 1295],
-    [1065, 1177, 1305],
-    [1065, 1177, 1183],
-    [1048, 1054, 1064],
-    [1055, 1063, 1176, 1170],
-    [1055, 1170, 1295],
-    [1063, 1176, 1303],
-    [1063, 1176, 1182],
-    [1047, 1053, 1062],
-    [1061, 1174, 1175],
-    [1056, 1172, 1173],
-    [1055, 1170, 1171],
-    [1034, 1045, 1046],
-    [1025, 1032, 1043, 1044, 1033],
-    [1025, 1032, 1272, 1265],
-    [1025, 1033, 1273, 1265],
-    [1032, 1043, 1283, 1272],
-    [1033, 1044, 1284, 1273],
-    [1043, 1044, 1284, 1283],
-    [1043, 1044, 1169, 1168],
-    [1044, 1169, 1284],
-    [1043, 1168, 1283],
-    [1033, 1044, 1163, 1157],
-    [1033, 1157, 1273],
-    [1044, 1163, 1284],
-    [1044, 1163, 1169],
-    [1032, 1043, 1162, 1155],
-    [1032, 1155, 1272],
-    [1043, 1162, 1283],
-    [1043, 1162, 1168],
-    [1024, 1030, 1041, 1042, 1031],
-    [1024, 1030, 1270, 1264],
-    [1024, 1031, 1271, 1264],
-    [1030, 1041, 1281, 1270],
-    [1041, 1042, 1282, 1281],
-    [1031, 1042, 1282, 1271],
-    [1041, 1042, 1167, 1166],
-    [1042, 1167, 1282],
-    [1041, 1166, 1281],
-    [1031, 1042, 1161, 1156],
-    [1031, 1156, 1271],
-    [1042, 1161, 1282],
-    [1042, 1161, 1167],
-    [1030, 1041, 1160, 1154],
-    [1030, 1154, 1270],
-    [1041, 1160, 1281],
-    [1041, 1160, 1166],
-    [1029, 1039, 1040],
-    [1028, 1037, 1038],
-    [1023, 1026, 1035, 1036, 1027],
-    [1023, 1027, 1267, 1263],
-    [1023, 1026, 1266, 1263],
-    [1027, 1036, 1276, 1267],
-    [1026, 1035, 1275, 1266],
-    [1035, 1036, 1276, 1275],
-    [1035, 1036, 1165, 1164],
-    [1035, 1164, 1275],
-    [1036, 1165, 1276],
-    [1027, 1036, 1159, 1153],
-    [1027, 1153, 1267],
-    [1036, 1159, 1276],
-    [1036, 1159, 1165],
-    [1026, 1035, 1158, 1152],
-    [1026, 1152, 1266],
-    [1035, 1158, 1275],
-    [1035, 1158, 1164],
-    [1025, 1033, 1151, 1145],
-    [1025, 1145, 1265],
-    [1033, 1151, 1273],
-    [1033, 1151, 1157],
-    [1025, 1032, 1149, 1144],
-    [1025, 1144, 1265],
-    [1032, 1149, 1272],
-    [1032, 1149, 1155],
-    [1024, 1031, 1150, 1143],
-    [1024, 1143, 1264],
-    [1031, 1150, 1271],
-    [1031, 1150, 1156],
-    [1024, 1030, 1148, 1142],
-    [1024, 1142, 1264],
-    [1030, 1148, 1270],
-    [1030, 1148, 1154],
-    [1023, 1027, 1147, 1141],
-    [1023, 1141, 1263],
-    [1027, 1147, 1267],
-    [1027, 1147, 1153],
-    [1023, 1026, 1146, 1140],
-    [1023, 1140, 1263],
-    [1026, 1146, 1266],
-    [1026, 1146, 1152],
-    [1025, 1144, 1145],
-    [1024, 1142, 1143],
-    [1023, 1140, 1141],
-    [1020, 1021, 1022],
-    [898, 1018, 1019],
-    [898, 1019, 1259, 1136],
-    [898, 1018, 1258, 1136],
-    [699, 889, 1013, 897],
-    [699, 897, 1019, 898],
-    [699, 889, 1133, 1136, 898],
-    [889, 1013, 1253, 1133],
-    [698, 888, 1132, 1136, 898],
-    [698, 895, 1018, 898],
-    [698, 888, 1011, 895],
-    [888, 1011, 1252, 1132],
-    [893, 1015, 1017],
-    [893, 1015, 1256, 1135],
-    [893, 1017, 1257, 1135],
-    [697, 887, 1012, 896],
-    [697, 893, 1017, 896],
-    [697, 887, 1129, 1135, 893],
-    [887, 1012, 1251, 1129],
-    [695, 885, 1009, 891],
-    [695, 891, 1015, 893],
-    [695, 885, 1128, 1135, 893],
-    [885, 1009, 1249, 1128],
-    [892, 1014, 1016],
-    [892, 1014, 1254, 1134],
-    [892, 1016, 1255, 1134],
-    [696, 886, 1127, 1134, 892],
-    [696, 886, 1010, 894],
-    [696, 892, 1016, 894],
-    [886, 1010, 1250, 1127],
-    [694, 890, 1014, 892],
-    [694, 884, 1008, 890],
-    [694, 884, 1126, 1134, 892],
-    [884, 1008, 1248, 1126],
-    [889, 1007, 1013],
-    [889, 1007, 1247, 1133],
-    [888, 1006, 1011],
-    [888, 1006, 1246, 1132],
-    [887, 1005, 1012],
-    [887, 1005, 1245, 1129],
-    [886, 1004, 1010],
-    [886, 1004, 1244, 1127],
-    [885, 1003, 1009],
-    [885, 1003, 1243, 1128],
-    [884, 1002, 1008],
-    [884, 1002, 1242, 1126],
-    [693, 879, 1001, 880],
-    [693, 879, 1007, 889],
-    [693, 880, 1124, 1133, 889],
-    [880, 1001, 1241, 1124],
-    [692, 877, 999, 878],
-    [692, 877, 1006, 888],
-    [692, 878, 1123, 1132, 888],
-    [878, 999, 1240, 1123],
-    [691, 875, 996, 876],
-    [691, 875, 1118, 1129, 887],
-    [691, 876, 1005, 887],
-    [875, 996, 1239, 1118],
-    [690, 874, 1004, 886],
-    [690, 872, 994, 874],
-    [690, 872, 1116, 1127, 886],
-    [872, 994, 1237, 1116],
-    [689, 873, 1117, 1128, 885],
-    [689, 871, 993, 873],
-    [689, 871, 1003, 885],
-    [873, 993, 1238, 1117],
-    [688, 869, 991, 870],
-    [688, 869, 1002, 884],
-    [688, 870, 1115, 1126, 884],
-    [870, 991, 1236, 1115],
-    [880, 989, 1001],
-    [880, 989, 1235, 1124],
-    [878, 988, 999],
-    [878, 988, 1234, 1123],
-    [875, 987, 1233, 1118],
-    [875, 987, 996],
-    [873, 986, 993],
-    [873, 986, 1232, 1117],
-    [872, 985, 994],
-    [872, 985, 1231, 1116],
-    [870, 984, 991],
-    [870, 984, 1230, 1115],
-    [687, 878, 1123, 1124, 880],
-    [687, 862, 989, 880],
-    [687, 862, 988, 878],
-    [686, 859, 986, 873],
-    [686, 859, 987, 875],
-    [686, 873, 1117, 1118, 875],
-    [685, 858, 984, 870],
-    [685, 858, 985, 872],
-    [685, 870, 1115, 1116, 872],
-    [861, 998, 1000],
-    [861, 1000, 1229, 1104],
-    [861, 998, 1228, 1104],
-    [684, 861, 1000, 868],
-    [684, 849, 983, 868],
-    [684, 849, 1096, 1104, 861],
-    [849, 983, 1223, 1096],
-    [683, 848, 981, 867],
-    [683, 848, 1094, 1104, 861],
-    [683, 861, 998, 867],
-    [848, 981, 1222, 1094],
-    [860, 995, 997],
-    [860, 995, 1226, 1103],
-    [860, 997, 1227, 1103],
-    [682, 847, 1093, 1103, 860],
-    [682, 847, 982, 866],
-    [682, 860, 997, 866],
-    [847, 982, 1221, 1093],
-    [681, 846, 1091, 1103, 860],
-    [681, 846, 980, 865],
-    [681, 860, 995, 865],
-    [846, 980, 1220, 1091],
-    [857, 990, 992],
-    [857, 990, 1224, 1098],
-    [857, 992, 1225, 1098],
-    [680, 857, 992, 864],
-    [680, 843, 979, 864],
-    [680, 843, 1088, 1098, 857],
-    [843, 979, 1219, 1088],
-    [679, 857, 990, 863],
-    [679, 842, 978, 863],
-    [679, 842, 1086, 1098, 857],
-    [842, 978, 1218, 1086],
-    [849, 976, 983],
-    [849, 976, 1217, 1096],
-    [848, 973, 1216, 1094],
-    [848, 973, 981],
-    [847, 974, 982],
-    [847, 974, 1215, 1093],
-    [846, 971, 980],
-    [846, 971, 1214, 1091],
-    [843, 968, 1213, 1088],
-    [843, 968, 979],
-    [842, 966, 1212, 1086],
-    [842, 966, 978],
-    [677, 828, 959, 840],
-    [677, 840, 976, 849],
-    [677, 828, 1085, 1096, 849],
-    [828, 959, 1204, 1085],
-    [676, 826, 958, 837],
-    [676, 837, 973, 848],
-    [676, 826, 1084, 1094, 848],
-    [826, 958, 1202, 1084],
-    [675, 825, 1083, 1093, 847],
-    [675, 825, 957, 838],
-    [675, 838, 974, 847],
-    [825, 957, 1201, 1083],
-    [674, 823, 1082, 1091, 846],
-    [674, 823, 956, 835],
-    [674, 835, 971, 846],
-    [823, 956, 1199, 1082],
-    [671, 820, 955, 832],
-    [671, 832, 968, 843],
-    [671, 820, 1081, 1088, 843],
-    [820, 955, 1196, 1081],
-    [670, 818, 954, 830],
-    [670, 830, 966, 842],
-    [670, 818, 1080, 1086, 842],
-    [818, 954, 1194, 1080],
-    [678, 839, 1078, 1079, 841],
-    [678, 839, 975, 850],
-    [678, 841, 977, 850],
-    [841, 977, 1211, 1079],
-    [839, 975, 1210, 1078],
-    [841, 965, 977],
-    [841, 965, 1205, 1079],
-    [839, 964, 975],
-    [839, 964, 1203, 1078],
-    [673, 834, 1076, 1077, 836],
-    [673, 836, 972, 845],
-    [673, 834, 970, 845],
-    [834, 970, 1208, 1076],
-    [836, 972, 1209, 1077],
-    [836, 963, 1200, 1077],
-    [836, 963, 972],
-    [834, 962, 970],
-    [834, 962, 1198, 1076],
-    [672, 831, 1074, 1075, 833],
-    [672, 833, 969, 844],
-    [672, 831, 967, 844],
-    [831, 967, 1206, 1074],
-    [833, 969, 1207, 1075],
-    [833, 961, 969],
-    [833, 961, 1197, 1075],
-    [831, 960, 967],
-    [831, 960, 1195, 1074],
-    [669, 829, 965, 841],
-    [669, 817, 953, 829],
-    [669, 817, 1073, 1079, 841],
-    [817, 953, 1187, 1073],
-    [828, 952, 959],
-    [828, 952, 1193, 1085],
-    [668, 827, 964, 839],
-    [668, 816, 951, 827],
-    [668, 816, 1071, 1078, 839],
-    [816, 951, 1186, 1071],
-    [826, 950, 958],
-    [826, 950, 1192, 1084],
-    [825, 949, 957],
-    [825, 949, 1191, 1083],
-    [665, 813, 1068, 1077, 836],
-    [665, 824, 963, 836],
-    [665, 813, 948, 824],
-    [813, 948, 1185, 1068],
-    [823, 947, 1190, 1082],
-    [823, 947, 956],
-    [664, 812, 1066, 1076, 834],
-    [664, 821, 962, 834],
-    [664, 812, 945, 821],
-    [812, 945, 1184, 1066],
-    [663, 822, 961, 833],
-    [663, 811, 946, 822],
-    [663, 811, 1065, 1075, 833],
-    [811, 946, 1183, 1065],
-    [820, 944, 955],
-    [820, 944, 1189, 1081],
-    [662, 819, 960, 831],
-    [662, 810, 943, 819],
-    [662, 810, 1063, 1074, 831],
-    [810, 943, 1182, 1063],
-    [818, 942, 954],
-    [818, 942, 1188, 1080],
-    [667, 826, 1084, 1085, 828],
-    [667, 815, 950, 826],
-    [667, 815, 952, 828],
-    [666, 823, 1082, 1083, 825],
-    [666, 814, 947, 823],
-    [666, 814, 949, 825],
-    [661, 818, 1080, 1081, 820],
-    [661, 809, 944, 820],
-    [661, 809, 942, 818],
-    [817, 941, 953],
-    [817, 941, 1181, 1073],
-    [816, 940, 951],
-    [816, 940, 1180, 1071],
-    [813, 939, 948],
-    [813, 939, 1179, 1068],
-    [812, 937, 945],
-    [812, 937, 1178, 1066],
-    [811, 938, 946],
-    [811, 938, 1177, 1065],
-    [810, 936, 943],
-    [810, 936, 1176, 1063],
-    [660, 796, 929, 802],
-    [660, 796, 941, 817],
-    [660, 802, 1061, 1073, 817],
-    [802, 929, 1175, 1061],
-    [659, 795, 927, 802],
-    [659, 795, 940, 816],
-    [659, 802, 1061, 1071, 816],
-    [802, 927, 1174, 1061],
-    [658, 799, 1056, 1068, 813],
-    [658, 794, 939, 813],
-    [658, 794, 924, 799],
-    [799, 924, 1173, 1056],
-    [657, 799, 1056, 1066, 812],
-    [657, 793, 922, 799],
-    [657, 793, 937, 812],
-    [799, 922, 1172, 1056],
-    [656, 792, 938, 811],
-    [656, 798, 1055, 1065, 811],
-    [656, 792, 921, 798],
-    [798, 921, 1171, 1055],
-    [655, 791, 919, 798],
-    [655, 791, 936, 810],
-    [655, 798, 1055, 1063, 810],
-    [798, 919, 1170, 1055],
-    [802, 927, 929],
-    [799, 922, 924],
-    [798, 919, 921],
-    [654, 789, 935, 801],
-    [654, 787, 934, 801],
-    [654, 787, 1043, 1044, 789],
-    [789, 935, 1169, 1044],
-    [787, 934, 1168, 1043],
-    [789, 928, 935],
-    [789, 928, 1163, 1044],
-    [787, 925, 1162, 1043],
-    [787, 925, 934],
-    [653, 786, 933, 800],
-    [653, 784, 932, 800],
-    [653, 784, 1041, 1042, 786],
-    [786, 933, 1167, 1042],
-    [784, 932, 1166, 1041],
-    [786, 926, 933],
-    [786, 926, 1161, 1042],
-    [784, 923, 932],
-    [784, 923, 1160, 1041],
-    [652, 779, 1035, 1036, 781],
-    [652, 779, 930, 797],
-    [652, 781, 931, 797],
-    [779, 930, 1164, 1035],
-    [781, 931, 1165, 1036],
-    [781, 920, 931],
-    [781, 920, 1159, 1036],
-    [779, 918, 930],
-    [779, 918, 1158, 1035],
-    [651, 789, 928, 790],
-    [651, 775, 917, 790],
-    [651, 775, 1033, 1044, 789],
-    [775, 917, 1157, 1033],
-    [649, 773, 915, 785],
-    [649, 785, 925, 787],
-    [649, 773, 1032, 1043, 787],
-    [773, 915, 1155, 1032],
-    [650, 774, 1031, 1042, 786],
-    [650, 786, 926, 788],
-    [650, 774, 916, 788],
-    [774, 916, 1156, 1031],
-    [648, 783, 923, 784],
-    [648, 772, 1030, 1041, 784],
-    [648, 772, 914, 783],
-    [772, 914, 1154, 1030],
-    [647, 771, 913, 782],
-    [647, 781, 920, 782],
-    [647, 771, 1027, 1036, 781],
-    [771, 913, 1153, 1027],
-    [646, 779, 918, 780],
-    [646, 770, 912, 780],
-    [646, 770, 1026, 1035, 779],
-    [770, 912, 1152, 1026],
-    [775, 911, 1151, 1033],
-    [775, 911, 917],
-    [774, 910, 916],
-    [774, 910, 1150, 1031],
-    [773, 909, 915],
-    [773, 909, 1149, 1032],
-    [772, 907, 914],
-    [772, 907, 1148, 1030],
-    [771, 908, 913],
-    [771, 908, 1147, 1027],
-    [770, 906, 912],
-    [770, 906, 1146, 1026],
-    [645, 767, 905, 769],
-    [645, 769, 911, 775],
-    [645, 767, 1025, 1033, 775],
-    [767, 905, 1145, 1025],
-    [644, 768, 910, 774],
-    [644, 766, 904, 768],
-    [644, 766, 1024, 1031, 774],
-    [766, 904, 1143, 1024],
-    [643, 767, 1025, 1032, 773],
-    [643, 765, 909, 773],
-    [643, 765, 903, 767],
-    [767, 903, 1144, 1025],
-    [642, 763, 907, 772],
-    [642, 763, 902, 766],
-    [642, 766, 1024, 1030, 772],
-    [766, 902, 1142, 1024],
-    [641, 761, 1023, 1027, 771],
-    [641, 761, 901, 764],
-    [641, 764, 908, 771],
-    [761, 901, 1141, 1023],
-    [640, 762, 906, 770],
-    [640, 761, 900, 762],
-    [640, 761, 1023, 1026, 770],
-    [761, 900, 1140, 1023],
-    [767, 903, 905],
-    [766, 902, 904],
-    [761, 900, 901],
-    [899, 1138, 1139],
-    [899, 1137, 1138],
-    [899, 1137, 1139],
-    [759, 1018, 1019],
-    [759, 899, 1138, 1018],
-    [759, 899, 1139, 1019],
-    [758, 899, 1139, 1017],
-    [758, 899, 1137, 1015],
-    [758, 1015, 1017],
-    [637, 639, 759, 899, 758],
-    [637, 639, 897, 896],
-    [639, 759, 1019, 897],
-    [637, 758, 1017, 896],
-    [757, 899, 1138, 1016],
-    [757, 899, 1137, 1014],
-    [757, 1014, 1016],
-    [638, 759, 1018, 895],
-    [636, 638, 759, 899, 757],
-    [636, 638, 895, 894],
-    [636, 757, 1016, 894],
-    [634, 635, 758, 899, 757],
-    [634, 635, 891, 890],
-    [634, 757, 1014, 890],
-    [635, 758, 1015, 891],
-    [507, 512, 518, 519, 513],
-    [507, 513, 693, 880, 687],
-    [518, 519, 699, 898, 698],
-    [507, 512, 692, 878, 687],
-    [512, 518, 698, 888, 692],
-    [513, 519, 699, 889, 693],
-    [506, 510, 516, 517, 511],
-    [506, 510, 689, 873, 686],
-    [511, 517, 697, 887, 691],
-    [506, 511, 691, 875, 686],
-    [510, 516, 695, 885, 689],
-    [516, 517, 697, 893, 695],
-    [505, 508, 514, 515, 509],
-    [505, 508, 688, 870, 685],
-    [509, 515, 696, 886, 690],
-    [514, 515, 696, 892, 694],
-    [505, 509, 690, 872, 685],
-    [508, 514, 694, 884, 688],
-    [883, 1121, 1122],
-    [883, 1121, 1131],
-    [883, 1122, 1131],
-    [756, 883, 1122, 1007],
-    [756, 883, 1131, 1013],
-    [756, 1007, 1013],
-    [755, 1005, 1012],
-    [755, 883, 1121, 1005],
-    [755, 883, 1131, 1012],
-    [632, 633, 756, 883, 755],
-    [632, 633, 897, 896],
-    [632, 755, 1012, 896],
-    [633, 756, 1013, 897],
-    [882, 1119, 1130],
-    [882, 1120, 1130],
-    [882, 1119, 1120],
-    [754, 882, 1130, 1011],
-    [754, 882, 1120, 1006],
-    [754, 1006, 1011],
-    [753, 882, 1119, 1004],
-    [753, 1004, 1010],
-    [753, 882, 1130, 1010],
-    [630, 631, 754, 882, 753],
-    [630, 753, 1010, 894],
-    [630, 631, 895, 894],
-    [631, 754, 1011, 895],
-    [881, 1113, 1114],
-    [881, 1114, 1125],
-    [881, 1113, 1125],
-    [752, 881, 1114, 1003],
-    [752, 881, 1125, 1009],
-    [752, 1003, 1009],
-    [751, 881, 1113, 1002],
-    [751, 881, 1125, 1008],
-    [751, 1002, 1008],
-    [628, 629, 752, 881, 751],
-    [628, 629, 891, 890],
-    [629, 752, 1009, 891],
-    [628, 751, 1008, 890],
-    [750, 998, 1000],
-    [750, 883, 1121, 998],
-    [750, 883, 1122, 1000],
-    [620, 627, 756, 883, 750],
-    [620, 627, 879, 868],
-    [620, 750, 1000, 868],
-    [627, 756, 1007, 879],
-    [618, 625, 755, 883, 750],
-    [618, 750, 998, 867],
-    [625, 755, 1005, 876],
-    [618, 625, 876, 867],
-    [749, 882, 1119, 995],
-    [749, 882, 1120, 997],
-    [749, 995, 997],
-    [617, 626, 877, 866],
-    [617, 626, 754, 882, 749],
-    [617, 749, 997, 866],
-    [626, 754, 1006, 877],
-    [615, 624, 874, 865],
-    [615, 624, 753, 882, 749],
-    [615, 749, 995, 865],
-    [624, 753, 1004, 874],
-    [748, 990, 992],
-    [748, 881, 1114, 992],
-    [748, 881, 1113, 990],
-    [612, 748, 992, 864],
-    [612, 623, 752, 881, 748],
-    [612, 623, 871, 864],
-    [623, 752, 1003, 871],
-    [610, 622, 751, 881, 748],
-    [610, 622, 869, 863],
-    [610, 748, 990, 863],
-    [622, 751, 1002, 869],
-    [856, 1106, 1112],
-    [856, 1097, 1106],
-    [856, 1097, 1112],
-    [747, 989, 1001],
-    [747, 856, 1106, 989],
-    [747, 856, 1112, 1001],
-    [741, 856, 1112, 983],
-    [741, 856, 1097, 976],
-    [741, 976, 983],
-    [608, 621, 747, 856, 741],
-    [608, 621, 879, 868],
-    [621, 747, 1001, 879],
-    [608, 741, 983, 868],
-    [855, 1095, 1105],
-    [855, 1105, 1111],
-    [855, 1095, 1111],
-    [746, 855, 1105, 988],
-    [746, 855, 1111, 999],
-    [746, 988, 999],
-    [740, 855, 1095, 974],
-    [740, 855, 1111, 982],
-    [740, 974, 982],
-    [606, 619, 877, 866],
-    [606, 619, 746, 855, 740],
-    [606, 740, 982, 866],
-    [619, 746, 999, 877],
-    [854, 1092, 1110],
-    [854, 1102, 1110],
-    [854, 1092, 1102],
-    [745, 854, 1102, 987],
-    [745, 854, 1110, 996],
-    [745, 987, 996],
-    [739, 854, 1092, 973],
-    [739, 854, 1110, 981],
-    [739, 973, 981],
-    [605, 616, 745, 854, 739],
-    [605, 616, 876, 867],
-    [605, 739, 981, 867],
-    [616, 745, 996, 876],
-    [853, 1090, 1100],
-    [853, 1090, 1109],
-    [853, 1100, 1109],
-    [743, 853, 1109, 994],
-    [743, 853, 1100, 985],
-    [743, 985, 994],
-    [738, 853, 1090, 971],
-    [738, 853, 1109, 980],
-    [738, 971, 980],
-    [603, 614, 743, 853, 738],
-    [603, 614, 874, 865],
-    [603, 738, 980, 865],
-    [614, 743, 994, 874],
-    [852, 1101, 1108],
-    [852, 1089, 1101],
-    [852, 1089, 1108],
-    [744, 852, 1101, 986],
-    [744, 986, 993],
-    [744, 852, 1108, 993],
-    [737, 852, 1089, 968],
-    [737, 852, 1108, 979],
-    [737, 968, 979],
-    [600, 613, 744, 852, 737],
-    [613, 744, 993, 871],
-    [600, 613, 871, 864],
-    [600, 737, 979, 864],
-    [851, 1099, 1107],
-    [851, 1087, 1099],
-    [851, 1087, 1107],
-    [742, 984, 991],
-    [742, 851, 1099, 984],
-    [742, 851, 1107, 991],
-    [736, 851, 1107, 978],
-    [736, 851, 1087, 966],
-    [736, 966, 978],
-    [598, 611, 742, 851, 736],
-    [598, 611, 869, 863],
-    [611, 742, 991, 869],
-    [598, 736, 978, 863],
-    [735, 856, 1106, 977],
-    [735, 856, 1097, 965],
-    [735, 965, 977],
-    [609, 747, 989, 862],
-    [597, 609, 747, 856, 735],
-    [597, 609, 862, 850],
-    [597, 735, 977, 850],
-    [734, 855, 1095, 964],
-    [734, 964, 975],
-    [734, 855, 1105, 975],
-    [596, 607, 746, 855, 734],
-    [596, 734, 975, 850],
-    [596, 607, 862, 850],
-    [607, 746, 988, 862],
-    [491, 497, 503, 504, 498],
-    [491, 497, 676, 826, 667],
-    [503, 504, 684, 861, 683],
-    [497, 503, 683, 848, 676],
-    [491, 498, 677, 828, 667],
-    [498, 504, 684, 849, 677],
-    [490, 495, 674, 823, 666],
-    [490, 495, 501, 502, 496],
-    [490, 496, 675, 825, 666],
-    [495, 501, 681, 846, 674],
-    [496, 502, 682, 847, 675],
-    [501, 502, 682, 860, 681],
-    [733, 854, 1092, 963],
-    [733, 854, 1102, 972],
-    [733, 963, 972],
-    [595, 604, 745, 854, 733],
-    [595, 604, 859, 845],
-    [595, 733, 972, 845],
-    [604, 745, 987, 859],
-    [732, 852, 1089, 962],
-    [732, 962, 970],
-    [732, 852, 1101, 970],
-    [594, 602, 744, 852, 732],
-    [594, 602, 859, 845],
-    [594, 732, 970, 845],
-    [602, 744, 986, 859],
-    [731, 853, 1090, 961],
-    [731, 961, 969],
-    [731, 853, 1100, 969],
-    [593, 601, 743, 853, 731],
-    [593, 731, 969, 844],
-    [593, 601, 858, 844],
-    [601, 743, 985, 858],
-    [730, 851, 1099, 967],
-    [730, 851, 1087, 960],
-    [730, 960, 967],
-    [599, 742, 984, 858],
-    [592, 599, 742, 851, 730],
-    [592, 599, 858, 844],
-    [592, 730, 967, 844],
-    [487, 493, 499, 500, 494],
-    [499, 500, 680, 857, 679],
-    [487, 494, 671, 820, 661],
-    [487, 493, 670, 818, 661],
-    [494, 500, 680, 843, 671],
-    [493, 499, 679, 842, 670],
-    [585, 591, 741, 856, 735],
-    [585, 591, 840, 829],
-    [585, 735, 965, 829],
-    [591, 741, 976, 840],
-    [584, 590, 838, 827],
-    [584, 590, 740, 855, 734],
-    [590, 740, 974, 838],
-    [584, 734, 964, 827],
-    [583, 589, 739, 854, 733],
-    [583, 589, 837, 824],
-    [583, 733, 963, 824],
-    [589, 739, 973, 837],
-    [582, 588, 738, 853, 731],
-    [582, 588, 835, 822],
-    [588, 738, 971, 835],
-    [582, 731, 961, 822],
-    [581, 587, 737, 852, 732],
-    [581, 587, 832, 821],
-    [581, 732, 962, 821],
-    [587, 737, 968, 832],
-    [580, 586, 736, 851, 730],
-    [580, 586, 830, 819],
-    [580, 730, 960, 819],
-    [586, 736, 966, 830],
-    [479, 480, 486, 492, 485],
-    [479, 480, 660, 802, 659],
-    [485, 492, 678, 839, 668],
-    [486, 492, 678, 841, 669],
-    [479, 485, 668, 816, 659],
-    [480, 486, 669, 817, 660],
-    [484, 489, 673, 836, 665],
-    [477, 478, 484, 489, 483],
-    [478, 484, 665, 813, 658],
-    [483, 489, 673, 834, 664],
-    [477, 478, 658, 799, 657],
-    [477, 483, 664, 812, 657],
-    [475, 476, 482, 488, 481],
-    [482, 488, 672, 833, 663],
-    [475, 476, 656, 798, 655],
-    [476, 482, 663, 811, 656],
-    [481, 488, 672, 831, 662],
-    [475, 481, 662, 810, 655],
-    [808, 1052, 1060],
-    [808, 1060, 1072],
-    [808, 1052, 1072],
-    [729, 808, 1060, 952],
-    [729, 808, 1072, 959],
-    [729, 952, 959],
-    [723, 808, 1052, 941],
-    [723, 808, 1072, 953],
-    [723, 941, 953],
-    [573, 579, 729, 808, 723],
-    [573, 579, 840, 829],
-    [579, 729, 959, 840],
-    [573, 723, 953, 829],
-    [807, 1051, 1058],
-    [807, 1058, 1070],
-    [807, 1051, 1070],
-    [727, 807, 1070, 957],
-    [727, 949, 957],
-    [727, 807, 1058, 949],
-    [722, 807, 1070, 951],
-    [722, 807, 1051, 940],
-    [722, 940, 951],
-    [572, 578, 727, 807, 722],
-    [572, 578, 838, 827],
-    [578, 727, 957, 838],
-    [572, 722, 951, 827],
-    [806, 1059, 1069],
-    [806, 1050, 1069],
-    [806, 1050, 1059],
-    [728, 806, 1069, 958],
-    [728, 950, 958],
-    [728, 806, 1059, 950],
-    [721, 806, 1069, 948],
-    [721, 806, 1050, 939],
-    [721, 939, 948],
-    [571, 577, 728, 806, 721],
-    [571, 577, 837, 824],
-    [571, 721, 948, 824],
-    [577, 728, 958, 837],
-    [805, 1049, 1057],
-    [805, 1049, 1067],
-    [805, 1057, 1067],
-    [726, 805, 1057, 947],
-    [726, 805, 1067, 956],
-    [726, 947, 956],
-    [720, 805, 1067, 946],
-    [720, 805, 1049, 938],
-    [720, 938, 946],
-    [570, 576, 726, 805, 720],
-    [570, 576, 835, 822],
-    [576, 726, 956, 835],
-    [570, 720, 946, 822],
-    [804, 1054, 1064],
-    [804, 1048, 1054],
-    [804, 1048, 1064],
-    [725, 804, 1064, 955],
-    [725, 804, 1054, 944],
-    [725, 944, 955],
-    [719, 804, 1064, 945],
-    [719, 804, 1048, 937],
-    [719, 937, 945],
-    [569, 575, 832, 821],
-    [569, 575, 725, 804, 719],
-    [569, 719, 945, 821],
-    [575, 725, 955, 832],
-    [803, 1047, 1053],
-    [803, 1053, 1062],
-    [803, 1047, 1062],
-    [724, 803, 1053, 942],
-    [724, 803, 1062, 954],
-    [724, 942, 954],
-    [718, 803, 1047, 936],
-    [718, 803, 1062, 943],
-    [718, 936, 943],
-    [568, 574, 724, 803, 718],
-    [568, 574, 830, 819],
-    [574, 724, 954, 830],
-    [568, 718, 943, 819],
-    [717, 928, 935],
-    [717, 808, 1060, 935],
-    [717, 808, 1052, 928],
-    [560, 717, 935, 801],
-    [560, 567, 729, 808, 717],
-    [560, 567, 815, 801],
-    [567, 729, 952, 815],
-    [716, 806, 1050, 925],
-    [716, 806, 1059, 934],
-    [716, 925, 934],
-    [558, 566, 728, 806, 716],
-    [566, 728, 950, 815],
-    [558, 566, 815, 801],
-    [558, 716, 934, 801],
-    [715, 807, 1058, 933],
-    [715, 926, 933],
-    [715, 807, 1051, 926],
-    [557, 565, 727, 807, 715],
-    [557, 565, 814, 800],
-    [565, 727, 949, 814],
-    [557, 715, 933, 800],
-    [714, 805, 1057, 932],
-    [714, 805, 1049, 923],
-    [714, 923, 932],
-    [555, 564, 726, 805, 714],
-    [555, 564, 814, 800],
-    [564, 726, 947, 814],
-    [555, 714, 932, 800],
-    [713, 804, 1054, 931],
-    [713, 804, 1048, 920],
-    [713, 920, 931],
-    [552, 563, 725, 804, 713],
-    [563, 725, 944, 809],
-    [552, 563, 809, 797],
-    [552, 713, 931, 797],
-    [712, 918, 930],
-    [712, 803, 1053, 930],
-    [712, 803, 1047, 918],
-    [550, 712, 930, 797],
-    [550, 562, 724, 803, 712],
-    [550, 562, 809, 797],
-    [562, 724, 942, 809],
-    [548, 561, 723, 808, 717],
-    [548, 561, 796, 790],
-    [548, 717, 928, 790],
-    [561, 723, 941, 796],
-    [546, 559, 722, 807, 715],
-    [546, 715, 926, 788],
-    [546, 559, 795, 788],
-    [559, 722, 940, 795],
-    [545, 556, 721, 806, 716],
-    [545, 556, 794, 785],
-    [556, 721, 939, 794],
-    [545, 716, 925, 785],
-    [543, 554, 720, 805, 714],
-    [543, 554, 792, 783],
-    [543, 714, 923, 783],
-    [554, 720, 938, 792],
-    [540, 553, 793, 782],
-    [540, 553, 719, 804, 713],
-    [553, 719, 937, 793],
-    [540, 713, 920, 782],
-    [538, 551, 718, 803, 712],
-    [538, 551, 791, 780],
-    [538, 712, 918, 780],
-    [551, 718, 936, 791],
-    [778, 1045, 1046],
-    [778, 1034, 1045],
-    [778, 1034, 1046],
-    [711, 927, 929],
-    [711, 778, 1045, 927],
-    [711, 778, 1046, 929],
-    [708, 778, 1046, 917],
-    [708, 778, 1034, 911],
-    [708, 911, 917],
-    [537, 549, 711, 778, 708],
-    [537, 549, 796, 790],
-    [549, 711, 929, 796],
-    [537, 708, 917, 790],
-    [707, 778, 1045, 916],
-    [707, 778, 1034, 910],
-    [707, 910, 916],
-    [547, 711, 927, 795],
-    [536, 547, 711, 778, 707],
-    [536, 547, 795, 788],
-    [536, 707, 916, 788],
-    [464, 465, 471, 474, 470],
-    [471, 474, 654, 789, 651],
-    [464, 470, 649, 773, 643],
-    [464, 465, 645, 767, 643],
-    [470, 474, 654, 787, 649],
-    [465, 471, 651, 775, 645],
-    [462, 463, 469, 473, 468],
-    [469, 473, 653, 786, 650],
-    [462, 468, 648, 772, 642],
-    [468, 473, 653, 784, 648],
-    [463, 469, 650, 774, 644],
-    [462, 463, 644, 766, 642],
-    [777, 1029, 1040],
-    [777, 1029, 1039],
-    [777, 1039, 1040],
-    [710, 777, 1040, 924],
-    [710, 777, 1039, 922],
-    [710, 922, 924],
-    [706, 777, 1040, 915],
-    [706, 777, 1029, 909],
-    [706, 909, 915],
-    [535, 544, 794, 785],
-    [535, 544, 710, 777, 706],
-    [544, 710, 924, 794],
-    [535, 706, 915, 785],
-    [705, 777, 1029, 908],
-    [705, 777, 1039, 913],
-    [705, 908, 913],
-    [533, 542, 793, 782],
-    [533, 542, 710, 777, 705],
-    [542, 710, 922, 793],
-    [533, 705, 913, 782],
-    [776, 1028, 1038],
-    [776, 1037, 1038],
-    [776, 1028, 1037],
-    [709, 919, 921],
-    [709, 776, 1038, 921],
-    [709, 776, 1037, 919],
-    [704, 907, 914],
-    [704, 776, 1038, 914],
-    [704, 776, 1028, 907],
-    [534, 541, 709, 776, 704],
-    [534, 704, 914, 783],
-    [541, 709, 921, 792],
-    [534, 541, 792, 783],
-    [703, 776, 1028, 906],
-    [703, 776, 1037, 912],
-    [703, 906, 912],
-    [532, 539, 709, 776, 703],
-    [532, 539, 791, 780],
-    [539, 709, 919, 791],
-    [532, 703, 912, 780],
-    [460, 461, 467, 472, 466],
-    [460, 461, 641, 761, 640],
-    [466, 472, 652, 779, 646],
-    [461, 467, 647, 771, 641],
-    [467, 472, 652, 781, 647],
-    [460, 466, 646, 770, 640],
-    [530, 531, 708, 778, 707],
-    [530, 531, 769, 768],
-    [530, 707, 910, 768],
-    [531, 708, 911, 769],
-    [528, 529, 706, 777, 705],
-    [529, 706, 909, 765],
-    [528, 529, 765, 764],
-    [528, 705, 908, 764],
-    [526, 527, 704, 776, 703],
-    [526, 527, 763, 762],
-    [527, 704, 907, 763],
-    [526, 703, 906, 762],
-    [760, 1020, 1021],
-    [760, 1021, 1022],
-    [760, 1020, 1022],
-    [702, 760, 1021, 903],
-    [702, 760, 1022, 905],
-    [702, 903, 905],
-    [701, 760, 1020, 902],
-    [701, 760, 1022, 904],
-    [701, 902, 904],
-    [524, 525, 702, 760, 701],
-    [524, 525, 769, 768],
-    [525, 702, 905, 769],
-    [524, 701, 904, 768],
-    [700, 900, 901],
-    [700, 760, 1021, 901],
-    [700, 760, 1020, 900],
-    [521, 700, 901, 764],
-    [521, 523, 702, 760, 700],
-    [521, 523, 765, 764],
-    [523, 702, 903, 765],
-    [520, 522, 701, 760, 700],
-    [520, 522, 763, 762],
-    [520, 700, 900, 762],
-    [522, 701, 902, 763],
-    [759, 898, 1019],
-    [759, 898, 1018],
-    [639, 699, 898, 759],
-    [639, 699, 897],
-    [638, 698, 898, 759],
-    [638, 698, 895],
-    [758, 893, 1015],
-    [758, 893, 1017],
-    [637, 697, 893, 758],
-    [637, 697, 896],
-    [757, 892, 1014],
-    [757, 892, 1016],
-    [636, 696, 892, 757],
-    [636, 696, 894],
-    [635, 695, 891],
-    [635, 695, 893, 758],
-    [634, 694, 892, 757],
-    [634, 694, 890],
-    [756, 889, 1007],
-    [756, 889, 1013],
-    [633, 699, 889, 756],
-    [633, 699, 897],
-    [755, 887, 1005],
-    [755, 887, 1012],
-    [632, 697, 887, 755],
-    [632, 697, 896],
-    [754, 888, 1006],
-    [754, 888, 1011],
-    [631, 698, 888, 754],
-    [631, 698, 895],
-    [753, 886, 1004],
-    [753, 886, 1010],
-    [630, 696, 886, 753],
-    [630, 696, 894],
-    [752, 885, 1009],
-    [752, 885, 1003],
-    [629, 695, 885, 752],
-    [629, 695, 891],
-    [751, 884, 1002],
-    [751, 884, 1008],
-    [628, 694, 884, 751],
-    [628, 694, 890],
-    [627, 693, 889, 756],
-    [627, 693, 879],
-    [626, 692, 877],
-    [626, 692, 888, 754],
-    [625, 691, 887, 755],
-    [625, 691, 876],
-    [624, 690, 874],
-    [624, 690, 886, 753],
-    [623, 689, 885, 752],
-    [623, 689, 871],
-    [622, 688, 884, 751],
-    [622, 688, 869],
-    [747, 880, 1001],
-    [747, 880, 989],
-    [621, 693, 880, 747],
-    [621, 693, 879],
-    [750, 861, 998],
-    [750, 861, 1000],
-    [620, 684, 861, 750],
-    [620, 684, 868],
-    [746, 878, 999],
-    [746, 878, 988],
-    [619, 692, 877],
-    [619, 692, 878, 746],
-    [618, 683, 861, 750],
-    [618, 683, 867],
-    [749, 860, 995],
-    [749, 860, 997],
-    [617, 682, 860, 749],
-    [617, 682, 866],
-    [745, 875, 987],
-    [745, 875, 996],
-    [616, 691, 875, 745],
-    [616, 691, 876],
-    [615, 681, 865],
-    [615, 681, 860, 749],
-    [743, 872, 994],
-    [743, 872, 985],
-    [614, 690, 874],
-    [614, 690, 872, 743],
-    [744, 873, 986],
-    [744, 873, 993],
-    [613, 689, 873, 744],
-    [613, 689, 871],
-    [748, 857, 992],
-    [748, 857, 990],
-    [612, 680, 857, 748],
-    [612, 680, 864],
-    [742, 870, 984],
-    [742, 870, 991],
-    [611, 688, 870, 742],
-    [611, 688, 869],
-    [610, 679, 857, 748],
-    [610, 679, 863],
-    [609, 687, 880, 747],
-    [609, 687, 862],
-    [607, 687, 878, 746],
-    [607, 687, 862],
-    [604, 686, 859],
-    [604, 686, 875, 745],
-    [602, 686, 859],
-    [602, 686, 873, 744],
-    [601, 685, 872, 743],
-    [601, 685, 858],
-    [599, 685, 870, 742],
-    [599, 685, 858],
-    [741, 849, 976],
-    [741, 849, 983],
-    [608, 684, 849, 741],
-    [608, 684, 868],
-    [740, 847, 974],
-    [740, 847, 982],
-    [606, 682, 847, 740],
-    [606, 682, 866],
-    [739, 848, 973],
-    [739, 848, 981],
-    [605, 683, 848, 739],
-    [605, 683, 867],
-    [738, 846, 971],
-    [738, 846, 980],
-    [603, 681, 846, 738],
-    [603, 681, 865],
-    [737, 843, 968],
-    [737, 843, 979],
-    [600, 680, 843, 737],
-    [600, 680, 864],
-    [736, 842, 966],
-    [736, 842, 978],
-    [598, 679, 842, 736],
-    [598, 679, 863],
-    [735, 841, 965],
-    [735, 841, 977],
-    [597, 678, 841, 735],
-    [597, 678, 850],
-    [591, 677, 840],
-    [591, 677, 849, 741],
-    [734, 839, 964],
-    [734, 839, 975],
-    [596, 678, 839, 734],
-    [596, 678, 850],
-    [590, 675, 838],
-    [590, 675, 847, 740],
-    [589, 676, 837],
-    [589, 676, 848, 739],
-    [733, 836, 963],
-    [733, 836, 972],
-    [595, 673, 836, 733],
-    [595, 673, 845],
-    [588, 674, 835],
-    [588, 674, 846, 738],
-    [732, 834, 970],
-    [732, 834, 962],
-    [594, 673, 845],
-    [594, 673, 834, 732],
-    [731, 833, 961],
-    [731, 833, 969],
-    [593, 672, 833, 731],
-    [593, 672, 844],
-    [587, 671, 832],
-    [587, 671, 843, 737],
-    [730, 831, 960],
-    [730, 831, 967],
-    [592, 672, 831, 730],
-    [592, 672, 844],
-    [586, 670, 830],
-    [586, 670, 842, 736],
-    [585, 669, 841, 735],
-    [585, 669, 829],
-    [584, 668, 827],
-    [584, 668, 839, 734],
-    [583, 665, 836, 733],
-    [583, 665, 824],
-    [581, 664, 834, 732],
-    [581, 664, 821],
-    [582, 663, 822],
-    [582, 663, 833, 731],
-    [580, 662, 831, 730],
-    [580, 662, 819],
-    [729, 828, 959],
-    [729, 828, 952],
-    [579, 677, 828, 729],
-    [579, 677, 840],
-    [728, 826, 958],
-    [728, 826, 950],
-    [577, 676, 837],
-    [577, 676, 826, 728],
-    [727, 825, 949],
-    [727, 825, 957],
-    [578, 675, 825, 727],
-    [578, 675, 838],
-    [726, 823, 947],
-    [726, 823, 956],
-    [576, 674, 823, 726],
-    [576, 674, 835],
-    [725, 820, 955],
-    [725, 820, 944],
-    [575, 671, 832],
-    [575, 671, 820, 725],
-    [724, 818, 954],
-    [724, 818, 942],
-    [574, 670, 818, 724],
-    [574, 670, 830],
-    [723, 817, 953],
-    [723, 817, 941],
-    [573, 669, 829],
-    [573, 669, 817, 723],
-    [567, 667, 828, 729],
-    [567, 667, 815],
-    [722, 816, 951],
-    [722, 816, 940],
-    [572, 668, 827],
-    [572, 668, 816, 722],
-    [566, 667, 826, 728],
-    [566, 667, 815],
-    [565, 666, 814],
-    [565, 666, 825, 727],
-    [721, 813, 948],
-    [721, 813, 939],
-    [571, 665, 824],
-    [571, 665, 813, 721],
-    [564, 666, 823, 726],
-    [564, 666, 814],
-    [720, 811, 946],
-    [720, 811, 938],
-    [570, 663, 822],
-    [570, 663, 811, 720],
-    [719, 812, 945],
-    [719, 812, 937],
-    [569, 664, 812, 719],
-    [569, 664, 821],
-    [563, 661, 820, 725],
-    [563, 661, 809],
-    [718, 810, 943],
-    [718, 810, 936],
-    [568, 662, 819],
-    [568, 662, 810, 718],
-    [562, 661, 818, 724],
-    [562, 661, 809],
-    [561, 660, 817, 723],
-    [561, 660, 796],
-    [559, 659, 816, 722],
-    [559, 659, 795],
-    [556, 658, 813, 721],
-    [556, 658, 794],
-    [554, 656, 811, 720],
-    [554, 656, 792],
-    [553, 657, 812, 719],
-    [553, 657, 793],
-    [551, 655, 810, 718],
-    [551, 655, 791],
-    [717, 789, 935],
-    [717, 789, 928],
-    [560, 654, 789, 717],
-    [560, 654, 801],
-    [716, 787, 925],
-    [716, 787, 934],
-    [558, 654, 787, 716],
-    [558, 654, 801],
-    [715, 786, 933],
-    [715, 786, 926],
-    [557, 653, 800],
-    [557, 653, 786, 715],
-    [714, 784, 932],
-    [714, 784, 923],
-    [555, 653, 800],
-    [555, 653, 784, 714],
-    [713, 781, 920],
-    [713, 781, 931],
-    [552, 652, 781, 713],
-    [552, 652, 797],
-    [712, 779, 918],
-    [712, 779, 930],
-    [550, 652, 779, 712],
-    [550, 652, 797],
-    [711, 802, 927],
-    [711, 802, 929],
-    [549, 660, 802, 711],
-    [549, 660, 796],
-    [548, 651, 789, 717],
-    [548, 651, 790],
-    [547, 659, 802, 711],
-    [547, 659, 795],
-    [546, 650, 786, 715],
-    [546, 650, 788],
-    [545, 649, 785],
-    [545, 649, 787, 716],
-    [710, 799, 924],
-    [710, 799, 922],
-    [544, 658, 799, 710],
-    [544, 658, 794],
-    [543, 648, 784, 714],
-    [543, 648, 783],
-    [542, 657, 799, 710],
-    [542, 657, 793],
-    [709, 798, 921],
-    [709, 798, 919],
-    [541, 656, 798, 709],
-    [541, 656, 792],
-    [540, 647, 782],
-    [540, 647, 781, 713],
-    [539, 655, 798, 709],
-    [539, 655, 791],
-    [538, 646, 779, 712],
-    [538, 646, 780],
-    [708, 775, 917],
-    [708, 775, 911],
-    [537, 651, 775, 708],
-    [537, 651, 790],
-    [707, 774, 910],
-    [707, 774, 916],
-    [536, 650, 774, 707],
-    [536, 650, 788],
-    [706, 773, 915],
-    [706, 773, 909],
-    [535, 649, 785],
-    [535, 649, 773, 706],
-    [704, 772, 914],
-    [704, 772, 907],
-    [534, 648, 772, 704],
-    [534, 648, 783],
-    [705, 771, 913],
-    [705, 771, 908],
-    [533, 647, 782],
-    [533, 647, 771, 705],
-    [703, 770, 906],
-    [703, 770, 912],
-    [532, 646, 770, 703],
-    [532, 646, 780],
-    [531, 645, 775, 708],
-    [531, 645, 769],
-    [530, 644, 774, 707],
-    [530, 644, 768],
-    [529, 643, 773, 706],
-    [529, 643, 765],
-    [528, 641, 771, 705],
-    [528, 641, 764],
-    [527, 642, 772, 704],
-    [527, 642, 763],
-    [526, 640, 770, 703],
-    [526, 640, 762],
-    [702, 767, 905],
-    [702, 767, 903],
-    [525, 645, 767, 702],
-    [525, 645, 769],
-    [701, 766, 904],
-    [701, 766, 902],
-    [524, 644, 768],
-    [524, 644, 766, 701],
-    [523, 643, 767, 702],
-    [523, 643, 765],
-    [522, 642, 766, 701],
-    [522, 642, 763],
-    [700, 761, 900],
-    [700, 761, 901],
-    [521, 641, 761, 700],
-    [521, 641, 764],
-    [520, 640, 761, 700],
-    [520, 640, 762],
-    [219, 338, 458, 459, 339],
-    [219, 337, 454, 456, 338],
-    [219, 337, 455, 457, 339],
-    [337, 454, 634, 635, 455],
-    [339, 457, 637, 639, 459],
-    [338, 456, 636, 638, 458],
-    [455, 457, 637, 758, 635],
-    [454, 456, 636, 757, 634],
-    [458, 459, 639, 759, 638],
-    [458, 459, 519, 518],
-    [459, 519, 699, 639],
-    [458, 518, 698, 638],
-    [632, 633, 639, 637],
-    [633, 639, 897],
-    [632, 637, 896],
-    [633, 639, 699],
-    [632, 637, 697],
-    [630, 631, 638, 636],
-    [631, 638, 895],
-    [630, 636, 894],
-    [631, 638, 698],
-    [630, 636, 696],
-    [455, 457, 517, 516],
-    [455, 516, 695, 635],
-    [457, 517, 697, 637],
-    [454, 456, 515, 514],
-    [454, 514, 694, 634],
-    [456, 515, 696, 636],
-    [628, 629, 635, 634],
-    [628, 634, 890],
-    [629, 635, 891],
-    [629, 635, 695],
-    [628, 634, 694],
-    [447, 453, 519, 513],
-    [447, 513, 693, 627],
-    [453, 519, 699, 633],
-    [447, 453, 633, 756, 627],
-    [446, 452, 518, 512],
-    [446, 512, 692, 626],
-    [446, 452, 631, 754, 626],
-    [452, 518, 698, 631],
-    [445, 451, 517, 511],
-    [445, 451, 632, 755, 625],
-    [445, 511, 691, 625],
-    [451, 517, 697, 632],
-    [444, 450, 515, 509],
-    [444, 450, 630, 753, 624],
-    [444, 509, 690, 624],
-    [450, 515, 696, 630],
-    [443, 449, 516, 510],
-    [443, 449, 629, 752, 623],
-    [443, 510, 689, 623],
-    [449, 516, 695, 629],
-    [442, 448, 514, 508],
-    [448, 514, 694, 628],
-    [442, 508, 688, 622],
-    [442, 448, 628, 751, 622],
-    [218, 319, 432, 433, 320],
-    [218, 319, 445, 451, 334],
-    [218, 320, 447, 453, 334],
-    [320, 433, 620, 627, 447],
-    [334, 451, 632, 633, 453],
-    [319, 432, 618, 625, 445],
-    [432, 433, 620, 750, 618],
-    [217, 317, 430, 431, 318],
-    [217, 317, 444, 450, 333],
-    [318, 431, 617, 626, 446],
-    [217, 318, 446, 452, 333],
-    [317, 430, 615, 624, 444],
-    [333, 450, 630, 631, 452],
-    [430, 431, 617, 749, 615],
-    [216, 313, 424, 425, 314],
-    [216, 314, 443, 449, 328],
-    [216, 313, 442, 448, 328],
-    [328, 448, 628, 629, 449],
-    [313, 424, 610, 622, 442],
-    [314, 425, 612, 623, 443],
-    [424, 425, 612, 748, 610],
-    [435, 441, 513, 507],
-    [435, 441, 621, 747, 609],
-    [441, 513, 693, 621],
-    [435, 507, 687, 609],
-    [608, 620, 627, 621],
-    [621, 627, 879],
-    [608, 620, 868],
-    [621, 627, 693],
-    [434, 440, 512, 507],
-    [440, 512, 692, 619],
-    [434, 440, 619, 746, 607],
-    [434, 507, 687, 607],
-    [606, 617, 626, 619],
-    [619, 626, 877],
-    [606, 617, 866],
-    [619, 626, 692],
-    [605, 616, 625, 618],
-    [605, 618, 867],
-    [616, 625, 876],
-    [616, 625, 691],
-    [429, 506, 686, 604],
-    [429, 439, 511, 506],
-    [429, 439, 616, 745, 604],
-    [439, 511, 691, 616],
-    [603, 614, 624, 615],
-    [614, 624, 874],
-    [603, 615, 865],
-    [614, 624, 690],
-    [428, 437, 613, 744, 602],
-    [428, 437, 510, 506],
-    [428, 506, 686, 602],
-    [437, 510, 689, 613],
-    [438, 509, 690, 614],
-    [427, 438, 509, 505],
-    [427, 438, 614, 743, 601],
-    [427, 505, 685, 601],
-    [600, 612, 623, 613],
-    [600, 612, 864],
-    [613, 623, 871],
-    [613, 623, 689],
-    [426, 436, 508, 505],
-    [426, 436, 611, 742, 599],
-    [426, 505, 685, 599],
-    [436, 508, 688, 611],
-    [598, 610, 622, 611],
-    [598, 610, 863],
-    [611, 622, 869],
-    [611, 622, 688],
-    [608, 620, 684],
-    [605, 618, 683],
-    [606, 617, 682],
-    [603, 615, 681],
-    [600, 612, 680],
-    [598, 610, 679],
-    [596, 597, 609, 607],
-    [607, 609, 862],
-    [596, 597, 850],
-    [607, 609, 687],
-    [432, 433, 504, 503],
-    [432, 503, 683, 618],
-    [433, 504, 684, 620],
-    [430, 501, 681, 615],
-    [430, 431, 502, 501],
-    [431, 502, 682, 617],
-    [594, 595, 604, 602],
-    [602, 604, 859],
-    [594, 595, 845],
-    [602, 604, 686],
-    [592, 593, 601, 599],
-    [599, 601, 858],
-    [592, 593, 844],
-    [599, 601, 685],
-    [424, 425, 500, 499],
-    [425, 500, 680, 612],
-    [424, 499, 679, 610],
-    [215, 306, 435, 441, 312],
-    [215, 294, 405, 417, 306],
-    [215, 294, 416, 423, 312],
-    [294, 405, 585, 591, 416],
-    [312, 423, 608, 621, 441],
-    [306, 417, 597, 609, 435],
-    [416, 423, 608, 741, 591],
-    [405, 417, 597, 735, 585],
-    [214, 292, 414, 421, 311],
-    [214, 292, 404, 415, 305],
-    [311, 421, 606, 619, 440],
-    [214, 305, 434, 440, 311],
-    [292, 404, 584, 590, 414],
-    [305, 415, 596, 607, 434],
-    [414, 421, 606, 740, 590],
-    [404, 415, 596, 734, 584],
-    [213, 289, 403, 412, 300],
-    [289, 403, 583, 589, 413],
-    [213, 289, 413, 422, 310],
-    [300, 412, 595, 604, 429],
-    [213, 300, 429, 439, 310],
-    [310, 422, 605, 616, 439],
-    [403, 412, 595, 733, 583],
-    [413, 422, 605, 739, 589],
-    [212, 287, 411, 420, 309],
-    [212, 287, 401, 409, 298],
-    [212, 298, 427, 438, 309],
-    [309, 420, 603, 614, 438],
-    [287, 401, 582, 588, 411],
-    [298, 409, 593, 601, 427],
-    [411, 420, 603, 738, 588],
-    [401, 409, 593, 731, 582],
-    [211, 286, 402, 410, 299],
-    [211, 299, 428, 437, 308],
-    [211, 286, 408, 419, 308],
-    [286, 402, 581, 587, 408],
-    [299, 410, 594, 602, 428],
-    [308, 419, 600, 613, 437],
-    [408, 419, 600, 737, 587],
-    [402, 410, 594, 732, 581],
-    [210, 297, 426, 436, 307],
-    [210, 284, 400, 407, 297],
-    [210, 284, 406, 418, 307],
-    [284, 400, 580, 586, 406],
-    [307, 418, 598, 611, 436],
-    [297, 407, 592, 599, 426],
-    [406, 418, 598, 736, 586],
-    [400, 407, 592, 730, 580],
-    [596, 597, 678],
-    [416, 423, 504, 498],
-    [416, 498, 677, 591],
-    [423, 504, 684, 608],
-    [413, 497, 676, 589],
-    [413, 422, 503, 497],
-    [422, 503, 683, 605],
-    [414, 496, 675, 590],
-    [414, 421, 502, 496],
-    [421, 502, 682, 606],
-    [411, 420, 501, 495],
-    [411, 495, 674, 588],
-    [420, 501, 681, 603],
-    [594, 595, 673],
-    [592, 593, 672],
-    [408, 494, 671, 587],
-    [408, 419, 500, 494],
-    [419, 500, 680, 600],
-    [406, 418, 499, 493],
-    [406, 493, 670, 586],
-    [418, 499, 679, 598],
-    [405, 417, 492, 486],
-    [405, 486, 669, 585],
-    [417, 492, 678, 597],
-    [573, 579, 591, 585],
-    [573, 585, 829],
-    [579, 591, 840],
-    [579, 591, 677],
-    [404, 415, 492, 485],
-    [404, 485, 668, 584],
-    [415, 492, 678, 596],
-    [572, 578, 590, 584],
-    [572, 584, 827],
-    [578, 590, 838],
-    [578, 590, 675],
-    [571, 577, 589, 583],
-    [577, 589, 837],
-    [571, 583, 824],
-    [577, 589, 676],
-    [403, 412, 489, 484],
-    [403, 484, 665, 583],
-    [412, 489, 673, 595],
-    [570, 576, 588, 582],
-    [570, 582, 822],
-    [576, 588, 835],
-    [576, 588, 674],
-    [402, 410, 489, 483],
-    [402, 483, 664, 581],
-    [410, 489, 673, 594],
-    [401, 409, 488, 482],
-    [401, 482, 663, 582],
-    [409, 488, 672, 593],
-    [569, 575, 587, 581],
-    [575, 587, 832],
-    [569, 581, 821],
-    [575, 587, 671],
-    [400, 407, 488, 481],
-    [407, 488, 672, 592],
-    [400, 481, 662, 580],
-    [568, 574, 586, 580],
-    [574, 586, 830],
-    [568, 580, 819],
-    [574, 586, 670],
-    [573, 585, 669],
-    [392, 399, 498, 491],
-    [392, 399, 579, 729, 567],
-    [392, 491, 667, 567],
-    [399, 498, 677, 579],
-    [572, 584, 668],
-    [390, 398, 577, 728, 566],
-    [390, 398, 497, 491],
-    [398, 497, 676, 577],
-    [390, 491, 667, 566],
-    [389, 397, 496, 490],
-    [389, 397, 578, 727, 565],
-    [397, 496, 675, 578],
-    [389, 490, 666, 565],
-    [571, 583, 665],
-    [387, 396, 495, 490],
-    [387, 396, 576, 726, 564],
-    [387, 490, 666, 564],
-    [396, 495, 674, 576],
-    [570, 582, 663],
-    [569, 581, 664],
-    [384, 395, 494, 487],
-    [384, 395, 575, 725, 563],
-    [395, 494, 671, 575],
-    [384, 487, 661, 563],
-    [568, 580, 662],
-    [382, 394, 493, 487],
-    [382, 394, 574, 724, 562],
-    [394, 493, 670, 574],
-    [382, 487, 661, 562],
-    [381, 393, 486, 480],
-    [393, 486, 669, 573],
-    [381, 480, 660, 561],
-    [381, 393, 573, 723, 561],
-    [391, 485, 668, 572],
-    [380, 391, 485, 479],
-    [380, 391, 572, 722, 559],
-    [380, 479, 659, 559],
-    [558, 560, 567, 566],
-    [558, 560, 801],
-    [566, 567, 815],
-    [566, 567, 667],
-    [555, 557, 565, 564],
-    [555, 557, 800],
-    [564, 565, 814],
-    [564, 565, 666],
-    [379, 388, 484, 478],
-    [388, 484, 665, 571],
-    [379, 388, 571, 721, 556],
-    [379, 478, 658, 556],
-    [385, 483, 664, 569],
-    [378, 385, 483, 477],
-    [378, 477, 657, 553],
-    [378, 385, 569, 719, 553],
-    [386, 482, 663, 570],
-    [377, 386, 482, 476],
-    [377, 386, 570, 720, 554],
-    [377, 476, 656, 554],
-    [376, 383, 481, 475],
-    [383, 481, 662, 568],
-    [376, 475, 655, 551],
-    [376, 383, 568, 718, 551],
-    [550, 552, 563, 562],
-    [550, 552, 797],
-    [562, 563, 809],
-    [562, 563, 661],
-    [209, 252, 363, 373, 262],
-    [209, 262, 392, 399, 275],
-    [209, 252, 381, 393, 275],
-    [275, 393, 573, 579, 399],
-    [252, 363, 548, 561, 381],
-    [262, 373, 560, 567, 392],
-    [363, 373, 560, 717, 548],
-    [208, 260, 389, 397, 273],
-    [208, 251, 362, 371, 260],
-    [208, 251, 380, 391, 273],
-    [273, 391, 572, 578, 397],
-    [260, 371, 557, 565, 389],
-    [251, 362, 546, 559, 380],
-    [362, 371, 557, 715, 546],
-    [207, 250, 379, 388, 272],
-    [207, 261, 390, 398, 272],
-    [207, 250, 361, 372, 261],
-    [250, 361, 545, 556, 379],
-    [272, 388, 571, 577, 398],
-    [261, 372, 558, 566, 390],
-    [361, 372, 558, 716, 545],
-    [206, 259, 387, 396, 270],
-    [206, 249, 360, 370, 259],
-    [259, 370, 555, 564, 387],
-    [206, 249, 377, 386, 270],
-    [270, 386, 570, 576, 396],
-    [249, 360, 543, 554, 377],
-    [360, 370, 555, 714, 543],
-    [205, 248, 378, 385, 267],
-    [205, 254, 384, 395, 267],
-    [248, 359, 540, 553, 378],
-    [205, 248, 359, 365, 254],
-    [267, 385, 569, 575, 395],
-    [254, 365, 552, 563, 384],
-    [359, 365, 552, 713, 540],
-    [204, 247, 358, 364, 253],
-    [204, 253, 382, 394, 265],
-    [204, 247, 376, 383, 265],
-    [265, 383, 568, 574, 394],
-    [247, 358, 538, 551, 376],
-    [253, 364, 550, 562, 382],
-    [358, 364, 550, 712, 538],
-    [374, 375, 480, 479],
-    [374, 375, 549, 711, 547],
-    [374, 479, 659, 547],
-    [375, 480, 660, 549],
-    [558, 560, 654],
-    [555, 557, 653],
-    [369, 478, 658, 544],
-    [368, 369, 478, 477],
-    [368, 477, 657, 542],
-    [368, 369, 544, 710, 542],
-    [366, 367, 476, 475],
-    [366, 367, 541, 709, 539],
-    [367, 476, 656, 541],
-    [366, 475, 655, 539],
-    [550, 552, 652],
-    [537, 548, 561, 549],
-    [537, 548, 790],
-    [549, 561, 796],
-    [549, 561, 660],
-    [536, 546, 559, 547],
-    [547, 559, 795],
-    [536, 546, 788],
-    [547, 559, 659],
-    [535, 544, 556, 545],
-    [535, 545, 785],
-    [544, 556, 794],
-    [544, 556, 658],
-    [533, 540, 553, 542],
-    [533, 540, 782],
-    [542, 553, 793],
-    [542, 553, 657],
-    [534, 541, 554, 543],
-    [534, 543, 783],
-    [541, 554, 792],
-    [541, 554, 656],
-    [532, 538, 551, 539],
-    [532, 538, 780],
-    [539, 551, 791],
-    [539, 551, 655],
-    [537, 548, 651],
-    [363, 373, 474, 471],
-    [373, 474, 654, 560],
-    [363, 471, 651, 548],
-    [536, 546, 650],
-    [361, 470, 649, 545],
-    [361, 372, 474, 470],
-    [372, 474, 654, 558],
-    [362, 371, 473, 469],
-    [371, 473, 653, 557],
-    [362, 469, 650, 546],
-    [535, 545, 649],
-    [370, 473, 653, 555],
-    [360, 370, 473, 468],
-    [360, 468, 648, 543],
-    [534, 543, 648],
-    [533, 540, 647],
-    [359, 365, 472, 467],
-    [359, 467, 647, 540],
-    [365, 472, 652, 552],
-    [532, 538, 646],
-    [358, 364, 472, 466],
-    [358, 466, 646, 538],
-    [364, 472, 652, 550],
-    [203, 245, 374, 375, 246],
-    [203, 231, 350, 356, 245],
-    [203, 231, 351, 357, 246],
-    [231, 350, 530, 531, 351],
-    [246, 357, 537, 549, 375],
-    [245, 356, 536, 547, 374],
-    [351, 357, 537, 708, 531],
-    [350, 356, 536, 707, 530],
-    [202, 241, 368, 369, 242],
-    [202, 226, 349, 355, 242],
-    [241, 353, 533, 542, 368],
-    [202, 226, 347, 353, 241],
-    [242, 355, 535, 544, 369],
-    [226, 347, 528, 529, 349],
-    [347, 353, 533, 705, 528],
-    [349, 355, 535, 706, 529],
-    [201, 225, 348, 354, 240],
-    [201, 239, 366, 367, 240],
-    [201, 225, 346, 352, 239],
-    [225, 346, 526, 527, 348],
-    [239, 352, 532, 539, 366],
-    [240, 354, 534, 541, 367],
-    [346, 352, 532, 703, 526],
-    [348, 354, 534, 704, 527],
-    [351, 357, 471, 465],
-    [351, 465, 645, 531],
-    [357, 471, 651, 537],
-    [350, 356, 469, 463],
-    [356, 469, 650, 536],
-    [350, 463, 644, 530],
-    [349, 355, 470, 464],
-    [355, 470, 649, 535],
-    [349, 464, 643, 529],
-    [348, 354, 468, 462],
-    [354, 468, 648, 534],
-    [348, 462, 642, 527],
-    [347, 353, 467, 461],
-    [353, 467, 647, 533],
-    [347, 461, 641, 528],
-    [346, 352, 466, 460],
-    [346, 460, 640, 526],
-    [352, 466, 646, 532],
-    [524, 525, 531, 530],
-    [525, 531, 769],
-    [524, 530, 768],
-    [525, 531, 645],
-    [524, 530, 644],
-    [343, 345, 465, 464],
-    [343, 345, 525, 702, 523],
-    [345, 465, 645, 525],
-    [343, 464, 643, 523],
-    [342, 344, 463, 462],
-    [344, 463, 644, 524],
-    [342, 462, 642, 522],
-    [342, 344, 524, 701, 522],
-    [521, 523, 529, 528],
-    [521, 528, 764],
-    [523, 529, 765],
-    [523, 529, 643],
-    [521, 528, 641],
-    [520, 522, 527, 526],
-    [520, 526, 762],
-    [522, 527, 763],
-    [522, 527, 642],
-    [520, 526, 640],
-    [340, 341, 461, 460],
-    [340, 341, 521, 700, 520],
-    [340, 460, 640, 520],
-    [341, 461, 641, 521],
-    [200, 220, 340, 341, 221],
-    [200, 221, 343, 345, 222],
-    [200, 220, 342, 344, 222],
-    [222, 344, 524, 525, 345],
-    [220, 340, 520, 522, 342],
-    [221, 341, 521, 523, 343],
-    [453, 459, 519],
-    [453, 459, 639, 633],
-    [452, 458, 518],
-    [452, 458, 638, 631],
-    [451, 457, 517],
-    [451, 457, 637, 632],
-    [450, 456, 515],
-    [450, 456, 636, 630],
-    [449, 455, 516],
-    [449, 455, 635, 629],
-    [448, 454, 514],
-    [448, 454, 634, 628],
-    [441, 447, 513],
-    [441, 447, 627, 621],
-    [440, 446, 512],
-    [440, 446, 626, 619],
-    [439, 445, 625, 616],
-    [439, 445, 511],
-    [438, 444, 509],
-    [438, 444, 624, 614],
-    [437, 443, 510],
-    [437, 443, 623, 613],
-    [436, 442, 508],
-    [436, 442, 622, 611],
-    [434, 435, 507],
-    [434, 435, 609, 607],
-    [428, 429, 506],
-    [428, 429, 604, 602],
-    [426, 427, 505],
-    [426, 427, 601, 599],
-    [423, 433, 504],
-    [423, 433, 620, 608],
-    [422, 432, 618, 605],
-    [422, 432, 503],
-    [421, 431, 502],
-    [421, 431, 617, 606],
-    [420, 430, 501],
-    [420, 430, 615, 603],
-    [419, 425, 500],
-    [419, 425, 612, 600],
-    [418, 424, 499],
-    [418, 424, 610, 598],
-    [415, 417, 492],
-    [415, 417, 597, 596],
-    [399, 416, 498],
-    [399, 416, 591, 579],
-    [398, 413, 497],
-    [398, 413, 589, 577],
-    [397, 414, 496],
-    [397, 414, 590, 578],
-    [396, 411, 495],
-    [396, 411, 588, 576],
-    [410, 412, 489],
-    [410, 412, 595, 594],
-    [407, 409, 488],
-    [407, 409, 593, 592],
-    [395, 408, 494],
-    [395, 408, 587, 575],
-    [394, 406, 493],
-    [394, 406, 586, 574],
-    [393, 405, 486],
-    [393, 405, 585, 573],
-    [391, 404, 485],
-    [391, 404, 584, 572],
-    [390, 392, 491],
-    [390, 392, 567, 566],
-    [387, 389, 490],
-    [387, 389, 565, 564],
-    [388, 403, 484],
-    [388, 403, 583, 571],
-    [385, 402, 483],
-    [385, 402, 581, 569],
-    [386, 401, 482],
-    [386, 401, 582, 570],
-    [383, 400, 481],
-    [383, 400, 580, 568],
-    [382, 384, 487],
-    [382, 384, 563, 562],
-    [375, 381, 480],
-    [375, 381, 561, 549],
-    [374, 380, 479],
-    [374, 380, 559, 547],
-    [369, 379, 478],
-    [369, 379, 556, 544],
-    [368, 378, 477],
-    [368, 378, 553, 542],
-    [367, 377, 554, 541],
-    [367, 377, 476],
-    [366, 376, 475],
-    [366, 376, 551, 539],
-    [372, 373, 474],
-    [372, 373, 560, 558],
-    [370, 371, 473],
-    [370, 371, 557, 555],
-    [364, 365, 472],
-    [364, 365, 552, 550],
-    [357, 363, 471],
-    [357, 363, 548, 537],
-    [356, 362, 469],
-    [356, 362, 546, 536],
-    [355, 361, 470],
-    [355, 361, 545, 535],
-    [354, 360, 543, 534],
-    [354, 360, 468],
-    [353, 359, 467],
-    [353, 359, 540, 533],
-    [352, 358, 466],
-    [352, 358, 538, 532],
-    [345, 351, 465],
-    [345, 351, 531, 525],
-    [344, 350, 463],
-    [344, 350, 530, 524],
-    [343, 349, 464],
-    [343, 349, 529, 523],
-    [342, 348, 462],
-    [342, 348, 527, 522],
-    [341, 347, 461],
-    [341, 347, 528, 521],
-    [340, 346, 460],
-    [340, 346, 526, 520],
-    [334, 339, 457, 451],
-    [334, 339, 459, 453],
-    [333, 338, 456, 450],
-    [333, 338, 458, 452],
-    [328, 337, 455, 449],
-    [328, 337, 454, 448],
-    [312, 320, 433, 423],
-    [312, 320, 447, 441],
-    [311, 318, 431, 421],
-    [311, 318, 446, 440],
-    [310, 319, 432, 422],
-    [310, 319, 445, 439],
-    [309, 317, 430, 420],
-    [309, 317, 444, 438],
-    [308, 314, 443, 437],
-    [308, 314, 425, 419],
-    [307, 313, 424, 418],
-    [307, 313, 442, 436],
-    [305, 306, 417, 415],
-    [305, 306, 435, 434],
-    [299, 300, 412, 410],
-    [299, 300, 429, 428],
-    [297, 298, 409, 407],
-    [297, 298, 427, 426],
-    [275, 294, 416, 399],
-    [275, 294, 405, 393],
-    [273, 292, 414, 397],
-    [273, 292, 404, 391],
-    [272, 289, 403, 388],
-    [272, 289, 413, 398],
-    [270, 287, 411, 396],
-    [270, 287, 401, 386],
-    [267, 286, 402, 385],
-    [267, 286, 408, 395],
-    [265, 284, 400, 383],
-    [265, 284, 406, 394],
-    [261, 262, 392, 390],
-    [261, 262, 373, 372],
-    [259, 260, 389, 387],
-    [259, 260, 371, 370],
-    [253, 254, 384, 382],
-    [253, 254, 365, 364],
-    [246, 252, 363, 357],
-    [246, 252, 381, 375],
-    [245, 251, 362, 356],
-    [245, 251, 380, 374],
-    [242, 250, 379, 369],
-    [242, 250, 361, 355],
-    [240, 249, 360, 354],
-    [240, 249, 377, 367],
-    [241, 248, 378, 368],
-    [241, 248, 359, 353],
-    [239, 247, 376, 366],
-    [239, 247, 358, 352],
-    [222, 231, 350, 344],
-    [222, 231, 351, 345],
-    [221, 226, 349, 343],
-    [221, 226, 347, 341],
-    [220, 225, 348, 342],
-    [220, 225, 346, 340],
-    [321, 326, 335, 336, 327],
-    [327, 336, 519, 513],
-    [321, 326, 512, 507],
-    [326, 335, 518, 512],
-    [321, 327, 513, 507],
-    [335, 336, 519, 518],
-    [335, 336, 459, 458],
-    [336, 459, 519],
-    [335, 458, 518],
-    [327, 336, 453, 447],
-    [336, 453, 519],
-    [327, 447, 513],
-    [336, 453, 459],
-    [326, 335, 452, 446],
-    [335, 452, 518],
-    [326, 446, 512],
-    [335, 452, 458],
-    [316, 324, 331, 332, 325],
-    [331, 332, 517, 516],
-    [316, 325, 511, 506],
-    [316, 324, 510, 506],
-    [324, 331, 516, 510],
-    [325, 332, 517, 511],
-    [331, 332, 457, 455],
-    [331, 455, 516],
-    [332, 457, 517],
-    [325, 332, 451, 445],
-    [332, 451, 517],
-    [325, 445, 511],
-    [332, 451, 457],
-    [324, 331, 449, 443],
-    [331, 449, 516],
-    [324, 443, 510],
-    [331, 449, 455],
-    [315, 322, 329, 330, 323],
-    [322, 329, 514, 508],
-    [315, 323, 509, 505],
-    [323, 330, 515, 509],
-    [329, 330, 515, 514],
-    [315, 322, 508, 505],
-    [329, 330, 456, 454],
-    [329, 454, 514],
-    [330, 456, 515],
-    [323, 330, 450, 444],
-    [330, 450, 515],
-    [323, 444, 509],
-    [330, 450, 456],
-    [322, 329, 448, 442],
-    [329, 448, 514],
-    [322, 442, 508],
-    [329, 448, 454],
-    [321, 327, 441, 435],
-    [327, 441, 513],
-    [321, 435, 507],
-    [327, 441, 447],
-    [321, 326, 440, 434],
-    [321, 434, 507],
-    [326, 440, 512],
-    [326, 440, 446],
-    [316, 325, 439, 429],
-    [325, 439, 511],
-    [316, 429, 506],
-    [325, 439, 445],
-    [316, 324, 437, 428],
-    [324, 437, 510],
-    [316, 428, 506],
-    [324, 437, 443],
-    [315, 323, 438, 427],
-    [315, 427, 505],
-    [323, 438, 509],
-    [323, 438, 444],
-    [315, 322, 436, 426],
-    [322, 436, 508],
-    [315, 426, 505],
-    [322, 436, 442],
-    [321, 434, 435],
-    [316, 428, 429],
-    [315, 426, 427],
-    [279, 291, 303, 304, 293],
-    [293, 304, 504, 498],
-    [291, 303, 503, 497],
-    [279, 291, 497, 491],
-    [279, 293, 498, 491],
-    [303, 304, 504, 503],
-    [303, 304, 433, 432],
-    [304, 433, 504],
-    [303, 432, 503],
-    [293, 304, 423, 416],
-    [293, 416, 498],
-    [304, 423, 504],
-    [304, 423, 433],
-    [291, 303, 422, 413],
-    [303, 422, 503],
-    [291, 413, 497],
-    [303, 422, 432],
-    [278, 288, 301, 302, 290],
-    [290, 302, 502, 496],
-    [301, 302, 502, 501],
-    [278, 288, 495, 490],
-    [278, 290, 496, 490],
-    [288, 301, 501, 495],
-    [301, 302, 431, 430],
-    [302, 431, 502],
-    [301, 430, 501],
-    [290, 302, 421, 414],
-    [302, 421, 502],
-    [290, 414, 496],
-    [302, 421, 431],
-    [288, 301, 420, 411],
-    [301, 420, 501],
-    [288, 411, 495],
-    [301, 420, 430],
-    [277, 283, 295, 296, 285],
-    [283, 295, 499, 493],
-    [285, 296, 500, 494],
-    [277, 285, 494, 487],
-    [277, 283, 493, 487],
-    [295, 296, 500, 499],
-    [295, 296, 425, 424],
-    [295, 424, 499],
-    [296, 425, 500],
-    [285, 296, 419, 408],
-    [296, 419, 500],
-    [285, 408, 494],
-    [296, 419, 425],
-    [283, 295, 418, 406],
-    [283, 406, 493],
-    [295, 418, 499],
-    [295, 418, 424],
-    [279, 293, 399, 392],
-    [293, 399, 498],
-    [279, 392, 491],
-    [293, 399, 416],
-    [279, 291, 398, 390],
-    [279, 390, 491],
-    [291, 398, 497],
-    [291, 398, 413],
-    [278, 290, 397, 389],
-    [290, 397, 496],
-    [278, 389, 490],
-    [290, 397, 414],
-    [278, 288, 396, 387],
-    [278, 387, 490],
-    [288, 396, 495],
-    [288, 396, 411],
-    [277, 285, 395, 384],
-    [277, 384, 487],
-    [285, 395, 494],
-    [285, 395, 408],
-    [277, 283, 394, 382],
-    [283, 394, 493],
-    [277, 382, 487],
-    [283, 394, 406],
-    [263, 264, 276, 282, 274],
-    [264, 276, 486, 480],
-    [263, 274, 485, 479],
-    [274, 282, 492, 485],
-    [276, 282, 492, 486],
-    [263, 264, 480, 479],
-    [276, 282, 417, 405],
-    [276, 405, 486],
-    [282, 417, 492],
-    [274, 282, 415, 404],
-    [282, 415, 492],
-    [274, 404, 485],
-    [282, 415, 417],
-    [279, 390, 392],
-    [278, 387, 389],
-    [257, 258, 271, 281, 269],
-    [257, 258, 478, 477],
-    [257, 269, 483, 477],
-    [271, 281, 489, 484],
-    [258, 271, 484, 478],
-    [269, 281, 489, 483],
-    [271, 281, 412, 403],
-    [271, 403, 484],
-    [281, 412, 489],
-    [269, 281, 410, 402],
-    [269, 402, 483],
-    [281, 410, 489],
-    [281, 410, 412],
-    [255, 256, 268, 280, 266],
-    [255, 266, 481, 475],
-    [256, 268, 482, 476],
-    [268, 280, 488, 482],
-    [266, 280, 488, 481],
-    [255, 256, 476, 475],
-    [268, 280, 409, 401],
-    [280, 409, 488],
-    [268, 401, 482],
-    [266, 280, 407, 400],
-    [266, 400, 481],
-    [280, 407, 488],
-    [280, 407, 409],
-    [277, 382, 384],
-    [264, 276, 393, 381],
-    [276, 393, 486],
-    [264, 381, 480],
-    [276, 393, 405],
-    [263, 274, 391, 380],
-    [263, 380, 479],
-    [274, 391, 485],
-    [274, 391, 404],
-    [258, 271, 388, 379],
-    [258, 379, 478],
-    [271, 388, 484],
-    [271, 388, 403],
-    [257, 269, 385, 378],
-    [257, 378, 477],
-    [269, 385, 483],
-    [269, 385, 402],
-    [256, 268, 386, 377],
-    [256, 377, 476],
-    [268, 386, 482],
-    [268, 386, 401],
-    [255, 266, 383, 376],
-    [266, 383, 481],
-    [255, 376, 475],
-    [266, 383, 400],
-    [263, 264, 375, 374],
-    [264, 375, 480],
-    [263, 374, 479],
-    [264, 375, 381],
-    [263, 374, 380],
-    [257, 258, 369, 368],
-    [257, 368, 477],
-    [258, 369, 478],
-    [258, 369, 379],
-    [257, 368, 378],
-    [255, 256, 367, 366],
-    [255, 366, 475],
-    [256, 367, 476],
-    [256, 367, 377],
-    [255, 366, 376],
-    [229, 230, 237, 244, 236],
-    [230, 237, 471, 465],
-    [236, 244, 474, 470],
-    [229, 236, 470, 464],
-    [229, 230, 465, 464],
-    [237, 244, 474, 471],
-    [237, 244, 373, 363],
-    [237, 363, 471],
-    [244, 373, 474],
-    [236, 244, 372, 361],
-    [244, 372, 474],
-    [236, 361, 470],
-    [244, 372, 373],
-    [227, 228, 235, 243, 234],
-    [227, 228, 463, 462],
-    [234, 243, 473, 468],
-    [235, 243, 473, 469],
-    [228, 235, 469, 463],
-    [227, 234, 468, 462],
-    [235, 243, 371, 362],
-    [235, 362, 469],
-    [243, 371, 473],
-    [234, 243, 370, 360],
-    [234, 360, 468],
-    [243, 370, 473],
-    [243, 370, 371],
-    [223, 224, 233, 238, 232],
-    [223, 232, 466, 460],
-    [224, 233, 467, 461],
-    [233, 238, 472, 467],
-    [223, 224, 461, 460],
-    [232, 238, 472, 466],
-    [233, 238, 365, 359],
-    [238, 365, 472],
-    [233, 359, 467],
-    [232, 238, 364, 358],
-    [232, 358, 466],
-    [238, 364, 472],
-    [238, 364, 365],
-    [230, 237, 357, 351],
-    [230, 351, 465],
-    [237, 357, 471],
-    [237, 357, 363],
-    [229, 236, 355, 349],
-    [229, 349, 464],
-    [236, 355, 470],
-    [236, 355, 361],
-    [228, 235, 356, 350],
-    [228, 350, 463],
-    [235, 356, 469],
-    [235, 356, 362],
-    [227, 234, 354, 348],
-    [227, 348, 462],
-    [234, 354, 468],
-    [234, 354, 360],
-    [224, 233, 353, 347],
-    [224, 347, 461],
-    [233, 353, 467],
-    [233, 353, 359],
-    [223, 232, 352, 346],
-    [223, 346, 460],
-    [232, 352, 466],
-    [232, 352, 358],
-    [229, 230, 345, 343],
-    [230, 345, 465],
-    [229, 343, 464],
-    [230, 345, 351],
-    [229, 343, 349],
-    [227, 228, 344, 342],
-    [228, 344, 463],
-    [227, 342, 462],
-    [228, 344, 350],
-    [227, 342, 348],
-    [223, 224, 341, 340],
-    [223, 340, 460],
-    [224, 341, 461],
-    [224, 341, 347],
-    [223, 340, 346],
-    [139, 198, 335, 336, 199],
-    [139, 198, 338, 219],
-    [139, 199, 339, 219],
-    [198, 335, 458, 338],
-    [199, 336, 459, 339],
-    [199, 334, 453, 336],
-    [199, 334, 339],
-    [198, 333, 338],
-    [198, 333, 452, 335],
-    [138, 195, 331, 332, 197],
-    [138, 197, 339, 219],
-    [138, 195, 337, 219],
-    [197, 332, 457, 339],
-    [195, 331, 455, 337],
-    [197, 334, 339],
-    [197, 332, 451, 334],
-    [137, 196, 338, 219],
-    [137, 194, 329, 330, 196],
-    [137, 194, 337, 219],
-    [196, 330, 456, 338],
-    [194, 329, 454, 337],
-    [196, 333, 338],
-    [196, 330, 450, 333],
-    [195, 328, 337],
-    [195, 328, 449, 331],
-    [194, 328, 337],
-    [194, 328, 448, 329],
-    [136, 193, 320, 218],
-    [136, 199, 334, 218],
-    [136, 193, 327, 336, 199],
-    [193, 320, 447, 327],
-    [134, 198, 333, 217],
-    [134, 192, 318, 217],
-    [134, 192, 326, 335, 198],
-    [192, 318, 446, 326],
-    [135, 191, 319, 218],
-    [135, 191, 325, 332, 197],
-    [135, 197, 334, 218],
-    [191, 319, 445, 325],
-    [133, 190, 317, 217],
-    [133, 190, 323, 330, 196],
-    [133, 196, 333, 217],
-    [190, 317, 444, 323],
-    [132, 189, 314, 216],
-    [132, 189, 324, 331, 195],
-    [132, 195, 328, 216],
-    [189, 314, 443, 324],
-    [131, 188, 313, 216],
-    [131, 188, 322, 329, 194],
-    [131, 194, 328, 216],
-    [188, 313, 442, 322],
-    [193, 312, 320],
-    [193, 312, 441, 327],
-    [192, 311, 318],
-    [192, 311, 440, 326],
-    [191, 310, 319],
-    [191, 310, 439, 325],
-    [190, 309, 317],
-    [190, 309, 438, 323],
-    [189, 308, 314],
-    [189, 308, 437, 324],
-    [188, 307, 313],
-    [188, 307, 436, 322],
-    [127, 187, 321, 327, 193],
-    [127, 187, 306, 215],
-    [127, 193, 312, 215],
-    [187, 306, 435, 321],
-    [126, 187, 305, 214],
-    [126, 192, 311, 214],
-    [126, 187, 321, 326, 192],
-    [187, 305, 434, 321],
-    [125, 182, 300, 213],
-    [125, 191, 310, 213],
-    [125, 182, 316, 325, 191],
-    [182, 300, 429, 316],
-    [123, 181, 298, 212],
-    [123, 190, 309, 212],
-    [123, 181, 315, 323, 190],
-    [181, 298, 427, 315],
-    [124, 182, 299, 211],
-    [124, 182, 316, 324, 189],
-    [124, 189, 308, 211],
-    [182, 299, 428, 316],
-    [122, 181, 315, 322, 188],
-    [122, 181, 297, 210],
-    [122, 188, 307, 210],
-    [181, 297, 426, 315],
-    [187, 305, 306],
-    [130, 185, 319, 218],
-    [130, 185, 303, 304, 186],
-    [130, 186, 320, 218],
-    [185, 303, 432, 319],
-    [186, 304, 433, 320],
-    [186, 304, 423, 312],
-    [186, 312, 320],
-    [185, 310, 319],
-    [185, 303, 422, 310],
-    [129, 183, 301, 302, 184],
-    [129, 183, 317, 217],
-    [129, 184, 318, 217],
-    [183, 301, 430, 317],
-    [184, 302, 431, 318],
-    [184, 302, 421, 311],
-    [184, 311, 318],
-    [183, 301, 420, 309],
-    [183, 309, 317],
-    [182, 299, 300],
-    [181, 297, 298],
-    [128, 179, 295, 296, 180],
-    [128, 180, 314, 216],
-    [128, 179, 313, 216],
-    [180, 296, 425, 314],
-    [179, 295, 424, 313],
-    [180, 308, 314],
-    [180, 296, 419, 308],
-    [179, 307, 313],
-    [179, 295, 418, 307],
-    [121, 175, 293, 304, 186],
-    [121, 186, 312, 215],
-    [121, 175, 294, 215],
-    [175, 293, 416, 294],
-    [119, 173, 289, 213],
-    [119, 185, 310, 213],
-    [119, 173, 291, 303, 185],
-    [173, 289, 413, 291],
-    [120, 174, 290, 302, 184],
-    [120, 174, 292, 214],
-    [120, 184, 311, 214],
-    [174, 290, 414, 292],
-    [118, 172, 288, 301, 183],
-    [118, 172, 287, 212],
-    [118, 183, 309, 212],
-    [172, 287, 411, 288],
-    [117, 180, 308, 211],
-    [117, 171, 286, 211],
-    [117, 171, 285, 296, 180],
-    [171, 285, 408, 286],
-    [116, 179, 307, 210],
-    [116, 170, 283, 295, 179],
-    [116, 170, 284, 210],
-    [170, 283, 406, 284],
-    [178, 305, 306],
-    [178, 282, 415, 305],
-    [178, 282, 417, 306],
-    [115, 178, 306, 215],
-    [115, 169, 276, 282, 178],
-    [115, 169, 294, 215],
-    [169, 276, 405, 294],
-    [175, 275, 294],
-    [175, 275, 399, 293],
-    [114, 168, 292, 214],
-    [114, 168, 274, 282, 178],
-    [114, 178, 305, 214],
-    [168, 274, 404, 292],
-    [174, 273, 397, 290],
-    [174, 273, 292],
-    [173, 272, 289],
-    [173, 272, 398, 291],
-    [177, 281, 412, 300],
-    [177, 281, 410, 299],
-    [177, 299, 300],
-    [113, 167, 271, 281, 177],
-    [113, 167, 289, 213],
-    [113, 177, 300, 213],
-    [167, 271, 403, 289],
-    [172, 270, 396, 288],
-    [172, 270, 287],
-    [112, 165, 269, 281, 177],
-    [112, 177, 299, 211],
-    [112, 165, 286, 211],
-    [165, 269, 402, 286],
-    [176, 297, 298],
-    [176, 280, 409, 298],
-    [176, 280, 407, 297],
-    [111, 166, 287, 212],
-    [111, 166, 268, 280, 176],
-    [111, 176, 298, 212],
-    [166, 268, 401, 287],
-    [171, 267, 286],
-    [171, 267, 395, 285],
-    [110, 176, 297, 210],
-    [110, 164, 266, 280, 176],
-    [110, 164, 284, 210],
-    [164, 266, 400, 284],
-    [170, 265, 284],
-    [170, 265, 394, 283],
-    [169, 275, 393, 276],
-    [169, 275, 294],
-    [168, 273, 292],
-    [168, 273, 391, 274],
-    [167, 271, 388, 272],
-    [167, 272, 289],
-    [165, 267, 385, 269],
-    [165, 267, 286],
-    [166, 270, 287],
-    [166, 268, 386, 270],
-    [164, 265, 383, 266],
-    [164, 265, 284],
-    [109, 163, 262, 209],
-    [109, 163, 279, 293, 175],
-    [109, 175, 275, 209],
-    [163, 262, 392, 279],
-    [108, 173, 272, 207],
-    [108, 163, 279, 291, 173],
-    [108, 163, 261, 207],
-    [163, 261, 390, 279],
-    [107, 162, 278, 290, 174],
-    [107, 162, 260, 208],
-    [107, 174, 273, 208],
-    [162, 260, 389, 278],
-    [106, 162, 278, 288, 172],
-    [106, 162, 259, 206],
-    [106, 172, 270, 206],
-    [162, 259, 387, 278],
-    [105, 171, 267, 205],
-    [105, 161, 254, 205],
-    [105, 161, 277, 285, 171],
-    [161, 254, 384, 277],
-    [104, 161, 253, 204],
-    [104, 161, 277, 283, 170],
-    [104, 170, 265, 204],
-    [161, 253, 382, 277],
-    [103, 160, 252, 209],
-    [103, 160, 264, 276, 169],
-    [103, 169, 275, 209],
-    [160, 252, 381, 264],
-    [163, 261, 262],
-    [102, 159, 251, 208],
-    [102, 168, 273, 208],
-    [102, 159, 263, 274, 168],
-    [159, 251, 380, 263],
-    [162, 259, 260],
-    [101, 156, 258, 271, 167],
-    [101, 167, 272, 207],
-    [101, 156, 250, 207],
-    [156, 250, 379, 258],
-    [100, 166, 270, 206],
-    [100, 154, 249, 206],
-    [100, 154, 256, 268, 166],
-    [154, 249, 377, 256],
-    [99, 155, 257, 269, 165],
-    [99, 165, 267, 205],
-    [99, 155, 248, 205],
-    [155, 248, 378, 257],
-    [161, 253, 254],
-    [98, 153, 255, 266, 164],
-    [98, 153, 247, 204],
-    [98, 164, 265, 204],
-    [153, 247, 376, 255],
-    [160, 246, 252],
-    [160, 246, 375, 264],
-    [159, 245, 251],
-    [159, 245, 374, 263],
-    [156, 242, 369, 258],
-    [156, 242, 250],
-    [155, 241, 368, 257],
-    [155, 241, 248],
-    [154, 240, 249],
-    [154, 240, 367, 256],
-    [153, 239, 247],
-    [153, 239, 366, 255],
-    [91, 159, 263, 264, 160],
-    [91, 159, 245, 203],
-    [91, 160, 246, 203],
-    [158, 261, 262],
-    [158, 244, 372, 261],
-    [158, 244, 373, 262],
-    [97, 151, 237, 244, 158],
-    [97, 158, 262, 209],
-    [97, 151, 252, 209],
-    [151, 237, 363, 252],
-    [96, 158, 261, 207],
-    [96, 149, 250, 207],
-    [96, 149, 236, 244, 158],
-    [149, 236, 361, 250],
-    [157, 259, 260],
-    [157, 243, 370, 259],
-    [157, 243, 371, 260],
-    [95, 157, 260, 208],
-    [95, 150, 235, 243, 157],
-    [95, 150, 251, 208],
-    [150, 235, 362, 251],
-    [94, 157, 259, 206],
-    [94, 148, 249, 206],
-    [94, 148, 234, 243, 157],
-    [148, 234, 360, 249],
-    [90, 155, 257, 258, 156],
-    [90, 156, 242, 202],
-    [90, 155, 241, 202],
-    [89, 154, 240, 201],
-    [89, 153, 255, 256, 154],
-    [89, 153, 239, 201],
-    [152, 253, 254],
-    [152, 238, 365, 254],
-    [152, 238, 364, 253],
-    [93, 152, 254, 205],
-    [93, 147, 248, 205],
-    [93, 147, 233, 238, 152],
-    [147, 233, 359, 248],
-    [92, 146, 232, 238, 152],
-    [92, 152, 253, 204],
-    [92, 146, 247, 204],
-    [146, 232, 358, 247],
-    [151, 246, 252],
-    [151, 237, 357, 246],
-    [150, 245, 251],
-    [150, 235, 356, 245],
-    [149, 242, 250],
-    [149, 236, 355, 242],
-    [148, 240, 249],
-    [148, 234, 354, 240],
-    [147, 241, 248],
-    [147, 233, 353, 241],
-    [146, 232, 352, 239],
-    [146, 239, 247],
-    [88, 151, 246, 203],
-    [88, 145, 230, 237, 151],
-    [88, 145, 231, 203],
-    [145, 230, 351, 231],
-    [87, 150, 245, 203],
-    [87, 144, 228, 235, 150],
-    [87, 144, 231, 203],
-    [144, 228, 350, 231],
-    [86, 149, 242, 202],
-    [86, 143, 226, 202],
-    [86, 143, 229, 236, 149],
-    [143, 226, 349, 229],
-    [84, 148, 240, 201],
-    [84, 142, 227, 234, 148],
-    [84, 142, 225, 201],
-    [142, 225, 348, 227],
-    [85, 141, 226, 202],
-    [85, 147, 241, 202],
-    [85, 141, 224, 233, 147],
-    [141, 224, 347, 226],
-    [83, 140, 225, 201],
-    [83, 146, 239, 201],
-    [83, 140, 223, 232, 146],
-    [140, 223, 346, 225],
-    [145, 222, 231],
-    [145, 222, 345, 230],
-    [144, 222, 344, 228],
-    [144, 222, 231],
-    [143, 221, 226],
-    [143, 221, 343, 229],
-    [142, 220, 342, 227],
-    [142, 220, 225],
-    [141, 221, 226],
-    [141, 221, 341, 224],
-    [140, 220, 225],
-    [140, 220, 340, 223],
-    [82, 143, 221, 200],
-    [82, 143, 229, 230, 145],
-    [82, 145, 222, 200],
-    [81, 142, 227, 228, 144],
-    [81, 142, 220, 200],
-    [81, 144, 222, 200],
-    [80, 140, 223, 224, 141],
-    [80, 141, 221, 200],
-    [80, 140, 220, 200],
-    [197, 199, 334],
-    [197, 199, 339],
-    [138, 139, 199, 197],
-    [138, 139, 219],
-    [196, 198, 333],
-    [196, 198, 338],
-    [137, 139, 198, 196],
-    [137, 139, 219],
-    [194, 195, 328],
-    [194, 195, 337],
-    [137, 138, 195, 194],
-    [137, 138, 219],
-    [69, 70, 76, 79, 75],
-    [69, 70, 127, 187, 126],
-    [75, 79, 139, 198, 134],
-    [69, 75, 134, 192, 126],
-    [70, 76, 136, 193, 127],
-    [76, 79, 139, 199, 136],
-    [135, 136, 199, 197],
-    [135, 136, 218],
-    [133, 134, 198, 196],
-    [133, 134, 217],
-    [66, 74, 135, 191, 125],
-    [65, 66, 74, 78, 72],
-    [65, 72, 132, 189, 124],
-    [65, 66, 125, 182, 124],
-    [74, 78, 138, 197, 135],
-    [72, 78, 138, 195, 132],
-    [63, 64, 73, 77, 71],
-    [73, 77, 137, 196, 133],
-    [63, 64, 123, 181, 122],
-    [64, 73, 133, 190, 123],
-    [63, 71, 131, 188, 122],
-    [71, 77, 137, 194, 131],
-    [131, 132, 195, 194],
-    [131, 132, 216],
-    [186, 193, 320],
-    [186, 193, 312],
-    [130, 136, 193, 186],
-    [130, 136, 218],
-    [185, 191, 310],
-    [185, 191, 319],
-    [130, 135, 191, 185],
-    [130, 135, 218],
-    [184, 192, 311],
-    [184, 192, 318],
-    [129, 134, 192, 184],
-    [129, 134, 217],
-    [183, 190, 309],
-    [183, 190, 317],
-    [129, 133, 190, 183],
-    [129, 133, 217],
-    [180, 189, 308],
-    [180, 189, 314],
-    [128, 132, 189, 180],
-    [128, 132, 216],
-    [179, 188, 307],
-    [179, 188, 313],
-    [128, 131, 188, 179],
-    [128, 131, 216],
-    [121, 127, 193, 186],
-    [121, 127, 215],
-    [120, 126, 192, 184],
-    [120, 126, 214],
-    [119, 125, 213],
-    [119, 125, 191, 185],
-    [118, 123, 212],
-    [118, 123, 190, 183],
-    [117, 124, 211],
-    [117, 124, 189, 180],
-    [116, 122, 188, 179],
-    [116, 122, 210],
-    [178, 187, 305],
-    [178, 187, 306],
-    [115, 127, 187, 178],
-    [115, 127, 215],
-    [114, 126, 187, 178],
-    [114, 126, 214],
-    [59, 68, 130, 185, 119],
-    [48, 49, 61, 68, 59],
-    [48, 49, 109, 163, 108],
-    [48, 59, 119, 173, 108],
-    [61, 68, 130, 186, 121],
-    [49, 61, 121, 175, 109],
-    [46, 47, 60, 67, 58],
-    [46, 47, 107, 162, 106],
-    [46, 58, 118, 172, 106],
-    [47, 60, 120, 174, 107],
-    [58, 67, 129, 183, 118],
-    [60, 67, 129, 184, 120],
-    [177, 182, 300],
-    [177, 182, 299],
-    [113, 125, 182, 177],
-    [113, 125, 213],
-    [112, 124, 182, 177],
-    [112, 124, 211],
-    [176, 181, 298],
-    [176, 181, 297],
-    [111, 123, 212],
-    [111, 123, 181, 176],
-    [110, 122, 181, 176],
-    [110, 122, 210],
-    [44, 45, 57, 62, 56],
-    [44, 45, 105, 161, 104],
-    [57, 62, 128, 180, 117],
-    [45, 57, 117, 171, 105],
-    [56, 62, 128, 179, 116],
-    [44, 56, 116, 170, 104],
-    [169, 175, 275],
-    [169, 175, 294],
-    [115, 121, 175, 169],
-    [115, 121, 215],
-    [168, 174, 273],
-    [168, 174, 292],
-    [114, 120, 174, 168],
-    [114, 120, 214],
-    [167, 173, 289],
-    [167, 173, 272],
-    [113, 119, 173, 167],
-    [113, 119, 213],
-    [166, 172, 270],
-    [166, 172, 287],
-    [111, 118, 172, 166],
-    [111, 118, 212],
-    [165, 171, 286],
-    [165, 171, 267],
-    [112, 117, 171, 165],
-    [112, 117, 211],
-    [164, 170, 284],
-    [164, 170, 265],
-    [110, 116, 170, 164],
-    [110, 116, 210],
-    [37, 42, 54, 55, 43],
-    [54, 55, 115, 178, 114],
-    [37, 42, 102, 159, 91],
-    [42, 54, 114, 168, 102],
-    [37, 43, 103, 160, 91],
-    [43, 55, 115, 169, 103],
-    [32, 39, 52, 53, 41],
-    [41, 53, 113, 167, 101],
-    [52, 53, 113, 177, 112],
-    [32, 41, 101, 156, 90],
-    [39, 52, 112, 165, 99],
-    [32, 39, 99, 155, 90],
-    [31, 40, 100, 154, 89],
-    [31, 38, 50, 51, 40],
-    [50, 51, 111, 176, 110],
-    [40, 51, 111, 166, 100],
-    [31, 38, 98, 153, 89],
-    [38, 50, 110, 164, 98],
-    [103, 109, 175, 169],
-    [103, 109, 209],
-    [102, 107, 208],
-    [102, 107, 174, 168],
-    [101, 108, 173, 167],
-    [101, 108, 207],
-    [100, 106, 172, 166],
-    [100, 106, 206],
-    [99, 105, 171, 165],
-    [99, 105, 205],
-    [98, 104, 170, 164],
-    [98, 104, 204],
-    [158, 163, 261],
-    [158, 163, 262],
-    [97, 109, 163, 158],
-    [97, 109, 209],
-    [96, 108, 207],
-    [96, 108, 163, 158],
-    [157, 162, 259],
-    [157, 162, 260],
-    [95, 107, 162, 157],
-    [95, 107, 208],
-    [94, 106, 162, 157],
-    [94, 106, 206],
-    [152, 161, 254],
-    [152, 161, 253],
-    [93, 105, 161, 152],
-    [93, 105, 205],
-    [92, 104, 161, 152],
-    [92, 104, 204],
-    [151, 160, 246],
-    [151, 160, 252],
-    [97, 103, 160, 151],
-    [97, 103, 209],
-    [150, 159, 251],
-    [150, 159, 245],
-    [95, 102, 208],
-    [95, 102, 159, 150],
-    [149, 156, 250],
-    [149, 156, 242],
-    [96, 101, 156, 149],
-    [96, 101, 207],
-    [148, 154, 249],
-    [148, 154, 240],
-    [94, 100, 206],
-    [94, 100, 154, 148],
-    [147, 155, 241],
-    [147, 155, 248],
-    [93, 99, 155, 147],
-    [93, 99, 205],
-    [146, 153, 239],
-    [146, 153, 247],
-    [92, 98, 153, 146],
-    [92, 98, 204],
-    [88, 91, 160, 151],
-    [88, 91, 203],
-    [87, 91, 159, 150],
-    [87, 91, 203],
-    [22, 26, 35, 36, 28],
-    [22, 26, 86, 143, 82],
-    [35, 36, 97, 158, 96],
-    [26, 35, 96, 149, 86],
-    [28, 36, 97, 151, 88],
-    [22, 28, 88, 145, 82],
-    [25, 33, 94, 148, 84],
-    [21, 25, 33, 34, 27],
-    [27, 34, 95, 150, 87],
-    [33, 34, 95, 157, 94],
-    [21, 25, 84, 142, 81],
-    [21, 27, 87, 144, 81],
-    [86, 90, 156, 149],
-    [86, 90, 202],
-    [85, 90, 155, 147],
-    [85, 90, 202],
-    [84, 89, 154, 148],
-    [84, 89, 201],
-    [83, 89, 153, 146],
-    [83, 89, 201],
-    [20, 23, 29, 30, 24],
-    [20, 24, 85, 141, 80],
-    [29, 30, 93, 152, 92],
-    [24, 30, 93, 147, 85],
-    [20, 23, 83, 140, 80],
-    [23, 29, 92, 146, 83],
-    [144, 145, 231],
-    [144, 145, 222],
-    [87, 88, 145, 144],
-    [87, 88, 203],
-    [141, 143, 226],
-    [141, 143, 221],
-    [85, 86, 143, 141],
-    [85, 86, 202],
-    [140, 142, 225],
-    [140, 142, 220],
-    [83, 84, 142, 140],
-    [83, 84, 201],
-    [81, 82, 145, 144],
-    [81, 82, 200],
-    [80, 82, 143, 141],
-    [80, 82, 200],
-    [80, 81, 142, 140],
-    [80, 81, 200],
-    [137, 138, 139],
-    [130, 135, 136],
-    [129, 133, 134],
-    [128, 131, 132],
-    [115, 121, 127],
-    [114, 120, 126],
-    [113, 119, 125],
-    [111, 118, 123],
-    [112, 117, 124],
-    [110, 116, 122],
-    [97, 103, 109],
-    [95, 102, 107],
-    [96, 101, 108],
-    [94, 100, 106],
-    [93, 99, 105],
-    [92, 98, 104],
-    [87, 88, 91],
-    [85, 86, 90],
-    [83, 84, 89],
-    [80, 81, 82],
-    [74, 76, 79, 78],
-    [74, 76, 136, 135],
-    [78, 79, 139, 138],
-    [73, 75, 79, 77],
-    [73, 75, 134, 133],
-    [77, 79, 139, 137],
-    [71, 72, 78, 77],
-    [71, 72, 132, 131],
-    [77, 78, 138, 137],
-    [61, 68, 76, 70],
-    [68, 76, 136, 130],
-    [61, 70, 127, 121],
-    [60, 67, 75, 69],
-    [60, 69, 126, 120],
-    [67, 75, 134, 129],
-    [59, 66, 74, 68],
-    [59, 66, 125, 119],
-    [68, 74, 135, 130],
-    [58, 64, 123, 118],
-    [58, 64, 73, 67],
-    [67, 73, 133, 129],
-    [57, 62, 72, 65],
-    [57, 65, 124, 117],
-    [62, 72, 132, 128],
-    [56, 62, 71, 63],
-    [56, 63, 122, 116],
-    [62, 71, 131, 128],
-    [54, 55, 70, 69],
-    [54, 69, 126, 114],
-    [55, 70, 127, 115],
-    [52, 53, 66, 65],
-    [53, 66, 125, 113],
-    [52, 65, 124, 112],
-    [50, 51, 64, 63],
-    [51, 64, 123, 111],
-    [50, 63, 122, 110],
-    [43, 49, 61, 55],
-    [43, 49, 109, 103],
-    [55, 61, 121, 115],
-    [42, 47, 107, 102],
-    [42, 47, 60, 54],
-    [54, 60, 120, 114],
-    [41, 48, 59, 53],
-    [53, 59, 119, 113],
-    [41, 48, 108, 101],
-    [40, 46, 58, 51],
-    [40, 46, 106, 100],
-    [51, 58, 118, 111],
-    [52, 57, 117, 112],
-    [39, 45, 57, 52],
-    [39, 45, 105, 99],
-    [38, 44, 56, 50],
-    [50, 56, 116, 110],
-    [38, 44, 104, 98],
-    [35, 36, 49, 48],
-    [35, 48, 108, 96],
-    [36, 49, 109, 97],
-    [33, 34, 47, 46],
-    [33, 46, 106, 94],
-    [34, 47, 107, 95],
-    [29, 30, 45, 44],
-    [30, 45, 105, 93],
-    [29, 44, 104, 92],
-    [28, 36, 43, 37],
-    [28, 37, 91, 88],
-    [36, 43, 103, 97],
-    [27, 34, 42, 37],
-    [34, 42, 102, 95],
-    [27, 37, 91, 87],
-    [35, 41, 101, 96],
-    [26, 32, 41, 35],
-    [26, 32, 90, 86],
-    [24, 30, 39, 32],
-    [24, 32, 90, 85],
-    [30, 39, 99, 93],
-    [25, 31, 40, 33],
-    [33, 40, 100, 94],
-    [25, 31, 89, 84],
-    [23, 29, 38, 31],
-    [23, 31, 89, 83],
-    [29, 38, 98, 92],
-    [21, 22, 28, 27],
-    [27, 28, 88, 87],
-    [21, 22, 82, 81],
-    [20, 22, 26, 24],
-    [24, 26, 86, 85],
-    [20, 22, 82, 80],
-    [20, 21, 25, 23],
-    [23, 25, 84, 83],
-    [20, 21, 81, 80],
-    [77, 78, 79],
-    [68, 74, 76],
-    [67, 73, 75],
-    [62, 71, 72],
-    [55, 61, 70],
-    [54, 60, 69],
-    [53, 59, 66],
-    [52, 57, 65],
-    [51, 58, 64],
-    [50, 56, 63],
-    [36, 43, 49],
-    [35, 41, 48],
-    [34, 42, 47],
-    [33, 40, 46],
-    [30, 39, 45],
-    [29, 38, 44],
-    [27, 28, 37],
-    [24, 26, 32],
-    [23, 25, 31],
-    [20, 21, 22],
-    [19, 77, 78],
-    [19, 78, 79],
-    [19, 77, 79],
-    [18, 19, 78, 74],
-    [18, 19, 79, 76],
-    [18, 74, 76],
-    [17, 19, 77, 73],
-    [17, 19, 79, 75],
-    [17, 73, 75],
-    [14, 15, 18, 19, 17],
-    [14, 17, 75, 69],
-    [15, 18, 76, 70],
-    [14, 15, 70, 69],
-    [16, 19, 78, 72],
-    [16, 19, 77, 71],
-    [16, 71, 72],
-    [11, 13, 18, 19, 16],
-    [11, 13, 66, 65],
-    [13, 18, 74, 66],
-    [11, 16, 72, 65],
-    [10, 12, 17, 19, 16],
-    [12, 17, 73, 64],
-    [10, 16, 71, 63],
-    [10, 12, 64, 63],
-    [18, 68, 76],
-    [18, 68, 74],
-    [15, 18, 68, 61],
-    [15, 61, 70],
-    [17, 67, 75],
-    [17, 67, 73],
-    [14, 17, 67, 60],
-    [14, 60, 69],
-    [13, 18, 68, 59],
-    [13, 59, 66],
-    [12, 17, 67, 58],
-    [12, 58, 64],
-    [16, 62, 71],
-    [16, 62, 72],
-    [11, 16, 62, 57],
-    [11, 57, 65],
-    [10, 16, 62, 56],
-    [10, 56, 63],
-    [14, 15, 55, 54],
-    [15, 55, 70],
-    [14, 54, 69],
-    [15, 55, 61],
-    [14, 54, 60],
-    [7, 9, 15, 18, 13],
-    [7, 13, 59, 48],
-    [9, 15, 61, 49],
-    [7, 9, 49, 48],
-    [6, 8, 14, 17, 12],
-    [6, 8, 47, 46],
-    [6, 12, 58, 46],
-    [8, 14, 60, 47],
-    [11, 13, 53, 52],
-    [11, 52, 65],
-    [13, 53, 66],
-    [13, 53, 59],
-    [11, 52, 57],
-    [10, 12, 51, 50],
-    [10, 50, 63],
-    [12, 51, 64],
-    [12, 51, 58],
-    [10, 50, 56],
-    [4, 5, 11, 16, 10],
-    [5, 11, 57, 45],
-    [4, 10, 56, 44],
-    [4, 5, 45, 44],
-    [9, 15, 55, 43],
-    [9, 43, 49],
-    [8, 14, 54, 42],
-    [8, 42, 47],
-    [7, 13, 53, 41],
-    [7, 41, 48],
-    [6, 12, 51, 40],
-    [6, 40, 46],
-    [5, 11, 52, 39],
-    [5, 39, 45],
-    [4, 10, 50, 38],
-    [4, 38, 44],
-    [3, 8, 14, 15, 9],
-    [3, 9, 43, 37],
-    [3, 8, 42, 37],
-    [2, 5, 11, 13, 7],
-    [2, 5, 39, 32],
-    [2, 7, 41, 32],
-    [1, 4, 10, 12, 6],
-    [1, 4, 38, 31],
-    [1, 6, 40, 31],
-    [7, 9, 36, 35],
-    [9, 36, 49],
-    [7, 35, 48],
-    [9, 36, 43],
-    [7, 35, 41],
-    [6, 8, 34, 33],
-    [8, 34, 47],
-    [6, 33, 46],
-    [8, 34, 42],
-    [6, 33, 40],
-    [4, 5, 30, 29],
-    [4, 29, 44],
-    [5, 30, 45],
-    [5, 30, 39],
-    [4, 29, 38],
-    [3, 9, 36, 28],
-    [3, 28, 37],
-    [3, 8, 34, 27],
-    [3, 27, 37],
-    [2, 7, 35, 26],
-    [2, 26, 32],
-    [1, 6, 33, 25],
-    [1, 25, 31],
-    [2, 5, 30, 24],
-    [2, 24, 32],
-    [1, 4, 29, 23],
-    [1, 23, 31],
-    [3, 27, 28],
-    [0, 2, 7, 9, 3],
-    [0, 3, 28, 22],
-    [0, 2, 26, 22],
-    [0, 1, 6, 8, 3],
-    [0, 3, 27, 21],
-    [0, 1, 25, 21],
-    [2, 24, 26],
-    [1, 23, 25],
-    [0, 1, 4, 5, 2],
-    [0, 1, 23, 20],
-    [0, 2, 24, 20],
-    [0, 21, 22],
-    [0, 20, 22],
-    [0, 20, 21],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
-    [12, 13, 14, 15, 16, 17, 1],
-    [18, 19, 20, 21, 22, 23, 9],
-    [24, 25, 26, 16, 21],
-    [27, 28, 29, 30, 31, 32, 5],
-    [33, 34, 35, 14, 27],
-    [36, 37, 38, 31, 22],
-    [39, 35, 26, 38],
-    [40, 41, 42, 43, 44, 45, 8],
-    [46, 47, 48, 15, 43],
-    [49, 50, 51, 42, 20],
-    [52, 51, 47, 25],
-    [53, 54, 55, 56, 57, 58, 11],
-    [59, 60, 61, 17, 57],
-    [62, 63, 64, 32, 54],
-    [65, 34, 64, 60],
-    [66, 67, 68, 69, 70, 71, 4],
-    [72, 73, 74, 68, 18],
-    [75, 76, 77, 69, 30],
-    [78, 74, 77, 37],
-    [79, 80, 81, 82, 83, 84, 3],
-    [85, 86, 87, 13, 79],
-    [88, 89, 90, 83, 44],
-    [91, 87, 48, 90],
-    [92, 93, 94, 84, 53],
-    [95, 86, 94, 59],
-    [96, 97, 98, 99, 100, 101, 10],
-    [102, 103, 104, 23, 99],
-    [105, 106, 107, 45, 98],
-    [108, 50, 105, 102],
-    [109, 110, 111, 112, 113, 114, 7],
-    [115, 116, 117, 29, 109],
-    [118, 119, 120, 114, 56],
-    [121, 116, 63, 119],
-    [122, 123, 124, 71, 97],
-    [125, 73, 123, 103],
-    [126, 127, 128, 70, 113],
-    [129, 117, 76, 127],
-    [130, 131, 132, 133, 134, 135, 2],
-    [136, 137, 138, 132, 40],
-    [139, 140, 141, 133, 82],
-    [142, 138, 141, 89],
-    [143, 144, 145, 146, 147, 148, 6],
-    [149, 150, 151, 148, 55],
-    [152, 153, 154, 81, 143],
-    [155, 153, 93, 150],
-    [156, 157, 158, 135, 96],
-    [159, 137, 157, 106],
-    [160, 161, 162, 145, 111],
-    [163, 161, 149, 118],
-    [164, 165, 166, 167, 168, 169, 0],
-    [170, 171, 172, 166, 66],
-    [173, 174, 175, 169, 100],
-    [176, 171, 124, 174],
-    [177, 178, 179, 168, 112],
-    [180, 172, 179, 128],
-    [181, 182, 183, 134, 147],
-    [184, 154, 140, 182],
-    [185, 186, 187, 165, 130],
-    [188, 186, 158, 173],
-    [189, 190, 191, 167, 146],
-    [192, 162, 190, 178],
-    [193, 187, 191, 183],
-    [194, 195, 196, 197, 39],
-    [198, 199, 200, 201, 196, 202, 24],
-    [203, 204, 205, 206, 197, 207, 33],
-    [208, 209, 210, 211, 212, 213, 214, 201, 215, 216, 206, 12],
-    [217, 218, 219, 220, 195, 221, 36],
-    [222, 223, 224, 225, 226, 227, 219, 200, 228, 229, 19, 230],
-    [231, 232, 233, 234, 235, 236, 220, 237, 238, 239, 204, 28],
-    [240, 241, 202, 242, 52],
-    [243, 244, 245, 214, 246, 241, 46],
-    [247, 248, 249, 207, 65],
-    [250, 251, 252, 215, 253, 248, 61],
-    [254, 255, 230, 256, 242, 257, 49],
-    [258, 259, 260, 238, 249, 62, 261],
-    [262, 221, 263, 264, 78],
-    [265, 266, 229, 267, 264, 268, 72],
-    [269, 270, 271, 237, 272, 263, 75],
-    [273, 274, 275, 216, 276, 277, 85],
-    [278, 279, 246, 276, 91],
-    [280, 253, 281, 277, 95],
-    [282, 283, 284, 285, 286, 287, 288, 245, 289, 290, 41, 255],
-    [291, 292, 293, 294, 295, 296, 252, 297, 260, 298, 299, 58],
-    [300, 301, 302, 228, 303, 304, 104],
-    [305, 306, 304, 257, 108],
-    [307, 308, 303, 268, 125],
-    [309, 310, 311, 239, 312, 313, 115],
-    [314, 261, 315, 313, 121],
-    [316, 317, 272, 312, 129],
-    [318, 319, 320, 321, 322, 323, 324, 271, 325, 267, 326, 67],
-    [327, 328, 288, 329, 279, 330, 88],
-    [331, 332, 297, 333, 281, 92, 334],
-    [335, 336, 337, 289, 338, 306, 107],
-    [339, 340, 299, 341, 315, 342, 120],
-    [343, 344, 345, 325, 346, 122, 307],
-    [347, 348, 349, 324, 350, 317, 126],
-    [351, 352, 353, 354, 355, 356, 329, 357, 333, 358, 274, 80],
-    [359, 360, 361, 362, 363, 364, 365, 366, 345, 337, 302, 101],
-    [367, 368, 369, 370, 371, 372, 349, 373, 341, 311, 110, 374],
-    [375, 376, 290, 377, 378, 379, 136],
-    [380, 330, 381, 378, 142],
-    [382, 383, 338, 379, 159],
-    [384, 385, 298, 386, 387, 388, 151],
-    [389, 334, 387, 390, 155],
-    [391, 388, 342, 392, 163],
-    [393, 394, 326, 395, 396, 397, 170],
-    [398, 399, 346, 397, 176],
-    [400, 350, 401, 396, 180],
-    [402, 403, 404, 357, 405, 381, 139],
-    [406, 407, 408, 358, 409, 390, 152],
-    [410, 411, 366, 412, 413, 156, 382],
-    [414, 415, 374, 416, 417, 392, 160],
-    [418, 419, 365, 420, 421, 399, 175],
-    [422, 423, 373, 424, 401, 425, 177],
-    [426, 427, 405, 409, 184],
-    [428, 429, 430, 431, 432, 433, 434, 404, 412, 377, 435, 131],
-    [436, 437, 438, 439, 440, 441, 442, 443, 386, 408, 144, 415],
-    [444, 421, 413, 445, 188],
-    [446, 447, 425, 417, 192],
-    [448, 449, 450, 451, 452, 453, 454, 424, 420, 455, 395, 164],
-    [456, 457, 442, 434, 458, 427, 181],
-    [459, 460, 435, 455, 461, 445, 185],
-    [462, 463, 443, 454, 464, 447, 189],
-    [465, 458, 464, 461, 193],
-    [466, 467, 468, 194],
-    [469, 470, 471, 467, 198],
-    [472, 473, 474, 468, 203],
-    [475, 476, 477, 478, 471, 473, 210],
-    [479, 480, 481, 466, 217],
-    [482, 483, 484, 485, 480, 470, 225],
-    [486, 487, 488, 489, 481, 233, 472],
-    [490, 491, 492, 240],
-    [493, 494, 495, 491, 199],
-    [496, 497, 498, 490, 244],
-    [499, 500, 501, 502, 213, 497, 494],
-    [503, 504, 505, 492, 254],
-    [506, 507, 508, 509, 495, 222, 504],
-    [510, 511, 512, 247],
-    [513, 514, 515, 511, 205],
-    [516, 517, 518, 510, 251],
-    [519, 520, 521, 522, 212, 517, 513],
-    [523, 524, 525, 512, 258],
-    [526, 527, 528, 529, 234, 514, 523],
-    [530, 531, 532, 262],
-    [533, 534, 535, 530, 218],
-    [536, 537, 538, 532, 265],
-    [539, 540, 541, 542, 535, 223, 536],
-    [543, 544, 545, 531, 270],
-    [546, 547, 548, 549, 534, 235, 543],
-    [550, 551, 552, 553, 498, 282, 503],
-    [554, 555, 556, 557, 518, 525, 292],
-    [558, 559, 560, 561, 545, 537, 318],
-    [562, 563, 564, 278],
-    [565, 566, 567, 563, 243],
-    [568, 569, 570, 564, 273],
-    [571, 572, 573, 574, 567, 569, 209],
-    [575, 576, 577, 280],
-    [578, 579, 580, 575, 250],
-    [581, 582, 583, 576, 275],
-    [584, 585, 586, 587, 211, 579, 581],
-    [588, 589, 590, 305],
-    [591, 592, 593, 256, 588],
-    [594, 595, 596, 590, 301],
-    [597, 598, 599, 600, 227, 593, 594],
-    [601, 602, 603, 308],
-    [604, 605, 606, 266, 602],
-    [607, 608, 609, 603, 300],
-    [610, 611, 612, 613, 606, 226, 607],
-    [614, 615, 616, 314],
-    [617, 618, 619, 614, 259],
-    [620, 621, 622, 310, 615],
-    [623, 624, 625, 626, 236, 618, 620],
-    [627, 628, 629, 316],
-    [630, 631, 632, 628, 269],
-    [633, 634, 635, 629, 309],
-    [636, 637, 638, 639, 632, 634, 231],
-    [640, 641, 642, 562, 327],
-    [643, 644, 645, 646, 641, 566, 285],
-    [647, 648, 649, 577, 331],
-    [650, 651, 652, 653, 580, 649, 291],
-    [654, 655, 656, 589, 336],
-    [657, 658, 659, 660, 287, 592, 654],
-    [661, 662, 663, 616, 339],
-    [664, 665, 666, 667, 619, 663, 294],
-    [668, 669, 670, 344, 601],
-    [671, 672, 673, 674, 323, 669, 604],
-    [675, 676, 677, 627, 348],
-    [678, 679, 680, 681, 676, 322, 630],
-    [682, 683, 684, 685, 642, 353, 568],
-    [686, 687, 688, 689, 354, 582, 647],
-    [690, 691, 692, 693, 656, 596, 364],
-    [694, 695, 696, 697, 670, 609, 362],
-    [698, 699, 700, 701, 622, 371, 661],
-    [702, 703, 704, 705, 677, 368, 633],
-    [706, 707, 708, 380],
-    [709, 710, 711, 706, 328],
-    [712, 713, 714, 708, 375],
-    [715, 716, 717, 718, 711, 283, 712],
-    [719, 720, 721, 383],
-    [722, 723, 724, 721, 335],
-    [725, 726, 727, 376, 720],
-    [728, 729, 730, 731, 727, 286, 722],
-    [732, 733, 734, 389],
-    [735, 736, 737, 732, 332],
-    [738, 739, 740, 734, 384],
-    [741, 742, 743, 744, 737, 740, 293],
-    [745, 746, 747, 391],
-    [748, 749, 750, 747, 340],
-    [751, 752, 753, 746, 385],
-    [754, 755, 756, 757, 753, 750, 296],
-    [758, 759, 760, 398],
-    [761, 762, 763, 760, 343],
-    [764, 765, 766, 759, 394],
-    [767, 768, 769, 770, 765, 321, 761],
-    [771, 772, 773, 400],
-    [774, 775, 776, 771, 347],
-    [777, 778, 779, 773, 393],
-    [780, 781, 782, 783, 776, 320, 777],
-    [784, 785, 786, 707, 403],
-    [787, 788, 789, 790, 710, 355, 784],
-    [791, 792, 793, 407, 733],
-    [794, 795, 796, 797, 356, 736, 791],
-    [798, 799, 800, 411, 719],
-    [801, 802, 803, 804, 800, 724, 361],
-    [805, 806, 807, 416, 745],
-    [808, 809, 810, 811, 372, 807, 748],
-    [812, 813, 814, 758, 419],
-    [815, 816, 817, 818, 814, 763, 360],
-    [819, 820, 821, 772, 422],
-    [822, 823, 824, 825, 775, 820, 370],
-    [826, 827, 828, 829, 786, 713, 428],
-    [830, 831, 832, 833, 433, 799, 725],
-    [834, 835, 836, 837, 793, 440, 738],
-    [838, 839, 840, 841, 441, 806, 751],
-    [842, 843, 844, 845, 452, 813, 764],
-    [846, 847, 848, 849, 821, 778, 450],
-    [850, 851, 852, 426],
-    [853, 854, 855, 851, 402],
-    [856, 857, 858, 852, 406],
-    [859, 860, 861, 862, 855, 857, 351],
-    [863, 864, 865, 444],
-    [866, 867, 868, 865, 410],
-    [869, 870, 871, 863, 418],
-    [872, 873, 874, 875, 871, 868, 359],
-    [876, 877, 878, 446],
-    [879, 880, 881, 878, 414],
-    [882, 883, 884, 877, 423],
-    [885, 886, 887, 888, 884, 367, 880],
-    [889, 890, 891, 850, 457],
-    [892, 893, 894, 895, 890, 432, 853],
-    [896, 897, 898, 899, 891, 437, 856],
-    [900, 901, 902, 864, 460],
-    [903, 904, 905, 906, 901, 431, 866],
-    [907, 908, 909, 910, 451, 870, 900],
-    [911, 912, 913, 876, 463],
-    [914, 915, 916, 917, 913, 436, 879],
-    [918, 919, 920, 921, 453, 912, 883],
-    [922, 923, 924, 465],
-    [925, 926, 927, 922, 456],
-    [928, 929, 930, 924, 459],
-    [931, 932, 933, 934, 927, 430, 928],
-    [935, 936, 937, 923, 462],
-    [938, 939, 940, 941, 926, 936, 439],
-    [942, 943, 944, 945, 937, 929, 449],
-    [946, 947, 469, 493],
-    [948, 949, 477, 946, 500],
-    [950, 951, 474, 515],
-    [952, 953, 478, 522, 950],
-    [954, 955, 508, 947, 485],
-    [956, 957, 489, 529, 951],
-    [958, 959, 479, 533],
-    [960, 961, 541, 959, 482],
-    [962, 963, 549, 488, 958],
-    [964, 965, 565, 496],
-    [966, 967, 573, 964, 499],
-    [968, 969, 578, 516],
-    [970, 971, 586, 521, 968],
-    [972, 973, 505, 591],
-    [974, 975, 509, 600, 973],
-    [976, 977, 524, 617],
-    [978, 979, 528, 624, 976],
-    [980, 981, 538, 605],
-    [982, 983, 542, 613, 981],
-    [984, 985, 631, 544],
-    [986, 987, 638, 548, 985],
-    [988, 989, 570, 583],
-    [990, 991, 574, 587, 988],
-    [992, 993, 552, 965, 646],
-    [994, 995, 553, 660, 972],
-    [996, 997, 969, 651, 555],
-    [998, 999, 977, 556, 665],
-    [1000, 1001, 608, 595],
-    [1002, 1003, 612, 598, 1000],
-    [1004, 1005, 635, 621],
-    [1006, 1007, 639, 626, 1004],
-    [1008, 1009, 561, 674, 980],
-    [1010, 1011, 560, 681, 984],
-    [1012, 1013, 685, 689, 989],
-    [1014, 1015, 1001, 697, 691],
-    [1016, 1017, 705, 701, 1005],
-    [1018, 1019, 640, 709],
-    [1020, 1021, 717, 1019, 643],
-    [1022, 1023, 648, 735],
-    [1024, 1025, 1023, 652, 742],
-    [1026, 1027, 723, 655],
-    [1028, 1029, 730, 658, 1026],
-    [1030, 1031, 662, 749],
-    [1032, 1033, 1031, 667, 755],
-    [1034, 1035, 762, 668],
-    [1036, 1037, 769, 672, 1034],
-    [1038, 1039, 774, 675],
-    [1040, 1041, 782, 1038, 680],
-    [1042, 1043, 684, 1018, 789],
-    [1044, 1045, 688, 795, 1022],
-    [1046, 1047, 1027, 804, 690],
-    [1048, 1049, 700, 810, 1030],
-    [1050, 1051, 1035, 818, 695],
-    [1052, 1053, 704, 1039, 822],
-    [1054, 1055, 714, 726],
-    [1056, 1057, 718, 731, 1055],
-    [1058, 1059, 739, 752],
-    [1060, 1061, 1059, 744, 754],
-    [1062, 1063, 779, 766],
-    [1064, 1065, 783, 770, 1063],
-    [1066, 1067, 854, 785],
-    [1068, 1069, 861, 790, 1067],
-    [1070, 1071, 858, 792],
-    [1072, 1073, 862, 797, 1070],
-    [1074, 1075, 829, 833, 1054],
-    [1076, 1077, 836, 840, 1058],
-    [1078, 1079, 867, 798],
-    [1080, 1081, 1079, 875, 802],
-    [1082, 1083, 869, 812],
-    [1084, 1085, 1083, 873, 816],
-    [1086, 1087, 881, 805],
-    [1088, 1089, 888, 811, 1087],
-    [1090, 1091, 819, 882],
-    [1092, 1093, 887, 1091, 825],
-    [1094, 1095, 849, 845, 1062],
-    [1096, 1097, 828, 894, 1066],
-    [1098, 1099, 899, 837, 1071],
-    [1100, 1101, 905, 831, 1078],
-    [1102, 1103, 917, 841, 1086],
-    [1104, 1105, 909, 844, 1082],
-    [1106, 1107, 848, 1090, 919],
-    [1108, 1109, 925, 889],
-    [1110, 1111, 895, 933, 1108],
-    [1112, 1113, 898, 1109, 938],
-    [1114, 1115, 930, 902],
-    [1116, 1117, 934, 906, 1115],
-    [1118, 1119, 935, 911],
-    [1120, 1121, 916, 1119, 941],
-    [1122, 1123, 945, 910, 1114],
-    [1124, 1125, 944, 1118, 918],
-    [1126, 1127, 1128, 1129, 1130, 1131, 1132, 1133, 1134, 483, 486, 475],
-    [1135, 1136, 1137, 1138, 1139, 1140, 1141, 1142, 1143, 502, 550, 506],
-    [1144, 1145, 1146, 1147, 1148, 1149, 1150, 1151, 520, 1152, 527, 554],
-    [1153, 1154, 1155, 1156, 1157, 1158, 1159, 1160, 1161, 547, 539, 558],
-    [1162, 1163, 1164, 1165, 1166, 1167, 1168, 1169, 1170, 644, 682, 571],
-    [1171, 1172, 1173, 1174, 1175, 1176, 1177, 1178, 585, 1179, 687, 650],
-    [1180, 1181, 1182, 1183, 1184, 1185, 1186, 1187, 659, 1188, 599, 692],
-    [1189, 1190, 1191, 1192, 1193, 1194, 1195, 1196, 1197, 625, 699, 664],
-    [1198, 1199, 1200, 1201, 1202, 1203, 1204, 1205, 1206, 673, 611, 694],
-    [1207, 1208, 1209, 1210, 1211, 1212, 1213, 1214, 1215, 679, 702, 636],
-    [1216, 1217, 1218, 1219, 1220, 1221, 1222, 1223, 1224, 788, 715, 826],
-    [1225, 1226, 1227, 1228, 1229, 1230, 1231, 1232, 1233, 796, 835, 741],
-    [1234, 1235, 1236, 1237, 1238, 1239, 1240, 1241, 1242, 832, 729, 801],
-    [1243, 1244, 1245, 1246, 1247, 1248, 1249, 839, 1250, 809, 1251, 756],
-    [1252, 1253, 1254, 1255, 1256, 1257, 1258, 1259, 843, 1260, 768, 815],
-    [1261, 1262, 1263, 1264, 1265, 1266, 1267, 1268, 1269, 823, 780, 846],
-    [1270, 1271, 1272, 1273, 1274, 1275, 1276, 1277, 1278, 893, 896, 859],
-    [1279, 1280, 1281, 1282, 1283, 1284, 1285, 1286, 908, 1287, 904, 872],
-    [1288, 1289, 1290, 1291, 1292, 1293, 1294, 1295, 1296, 921, 914, 885],
-    [1297, 1298, 1299, 1300, 1301, 1302, 1303, 1304, 1305, 939, 931, 942],
-    [1306, 1307, 1308, 1143, 1133, 948, 954],
-    [1309, 1310, 1311, 1150, 1132, 953, 956],
-    [1312, 1313, 1314, 1161, 1134, 962, 960],
-    [1315, 1316, 1317, 1318, 1319, 1320, 208],
-    [1321, 1322, 1323, 1317, 476],
-    [1324, 1325, 1326, 1320, 501],
-    [1327, 1323, 1326, 949],
-    [1328, 1329, 1330, 1319, 519],
-    [1331, 1322, 1330, 952],
-    [1332, 1333, 1334, 1335, 1336, 1337, 224],
-    [1338, 1339, 1340, 1337, 484],
-    [1341, 1342, 1343, 1333, 507],
-    [1344, 1343, 1339, 955],
-    [1345, 1346, 1347, 1334, 540],
-    [1348, 1347, 1340, 961],
-    [1349, 1350, 1351, 1352, 1353, 1354, 232],
-    [1355, 1356, 1357, 1351, 487],
-    [1358, 1359, 1360, 1352, 526],
-    [1361, 1356, 1360, 957],
-    [1362, 1363, 1364, 1354, 546],
-    [1365, 1357, 1364, 963],
-    [1366, 1367, 1368, 1316, 572],
-    [1369, 1368, 1325, 967],
-    [1370, 1371, 1372, 1318, 584],
-    [1373, 1371, 1329, 970],
-    [1374, 1375, 1376, 1336, 597],
-    [1377, 1342, 1376, 974],
-    [1378, 1379, 1380, 1335, 610],
-    [1381, 1346, 1380, 983],
-    [1382, 1383, 1384, 1353, 623],
-    [1385, 1359, 1383, 978],
-    [1386, 1387, 1388, 1350, 637],
-    [1389, 1388, 1363, 987],
-    [1390, 1367, 1372, 990],
-    [1391, 1392, 1393, 1142, 1169, 966, 992],
-    [1394, 1395, 1396, 1186, 1141, 995, 975],
-    [1397, 1179, 1152, 1398, 1399, 971, 996],
-    [1400, 1401, 1402, 1197, 1151, 979, 998],
-    [1403, 1379, 1375, 1002],
-    [1404, 1387, 1384, 1006],
-    [1405, 1406, 1407, 1204, 1159, 1009, 982],
-    [1408, 1409, 1410, 1214, 1160, 1010, 986],
-    [1411, 1412, 1413, 1177, 1168, 991, 1012],
-    [1414, 1415, 1416, 1417, 1418, 1419, 284],
-    [1420, 1421, 1422, 1415, 551],
-    [1423, 1424, 1425, 1419, 645],
-    [1426, 1422, 1424, 993],
-    [1427, 1428, 1429, 1418, 657],
-    [1430, 1421, 1429, 994],
-    [1431, 1432, 1433, 1434, 1435, 1436, 295],
-    [1437, 1438, 1439, 1436, 557],
-    [1440, 1441, 1442, 1435, 653],
-    [1443, 1442, 1439, 997],
-    [1444, 1445, 1446, 666, 1432],
-    [1447, 1446, 999, 1438],
-    [1448, 1449, 1450, 1188, 1205, 1003, 1014],
-    [1451, 1452, 1453, 1195, 1213, 1007, 1016],
-    [1454, 1455, 1456, 1457, 1458, 1459, 319],
-    [1460, 1461, 1462, 1455, 559],
-    [1463, 1464, 1465, 1458, 671],
-    [1466, 1461, 1465, 1008],
-    [1467, 1468, 1469, 1459, 678],
-    [1470, 1462, 1468, 1011],
-    [1471, 1472, 1473, 1224, 1170, 1042, 1020],
-    [1474, 1475, 1476, 1416, 716],
-    [1477, 1476, 1425, 1021],
-    [1478, 1479, 1480, 1233, 1178, 1045, 1024],
-    [1481, 1482, 1483, 1417, 728],
-    [1484, 1482, 1428, 1028],
-    [1485, 1486, 1487, 743, 1431],
-    [1488, 1487, 1025, 1441],
-    [1489, 1490, 1491, 1187, 1241, 1029, 1046],
-    [1492, 1493, 1494, 1434, 757],
-    [1495, 1445, 1494, 1033],
-    [1496, 1497, 1251, 1498, 1196, 1049, 1032],
-    [1499, 1500, 1501, 1206, 1259, 1037, 1050],
-    [1502, 1503, 1504, 1457, 767],
-    [1505, 1503, 1464, 1036],
-    [1506, 1507, 1508, 1215, 1269, 1040, 1052],
-    [1509, 1510, 1511, 1456, 781],
-    [1512, 1511, 1469, 1041],
-    [1513, 1514, 1515, 1516, 1517, 1518, 352],
-    [1519, 1520, 1521, 1515, 683],
-    [1522, 1523, 1524, 1516, 686],
-    [1525, 1520, 1524, 1013],
-    [1526, 1527, 1528, 1529, 1530, 1531, 363],
-    [1532, 1533, 1534, 1529, 693],
-    [1535, 1536, 1537, 696, 1527],
-    [1538, 1536, 1534, 1015],
-    [1539, 1540, 1541, 1542, 1543, 1544, 369],
-    [1545, 1546, 1547, 1542, 698],
-    [1548, 1549, 1550, 1541, 703],
-    [1551, 1549, 1547, 1017],
-    [1552, 1475, 1483, 1057],
-    [1553, 1486, 1493, 1061],
-    [1554, 1510, 1504, 1065],
-    [1555, 1556, 1557, 1518, 787],
-    [1558, 1521, 1557, 1043],
-    [1559, 1560, 1561, 1517, 794],
-    [1562, 1523, 1560, 1044],
-    [1563, 1564, 1565, 803, 1526],
-    [1566, 1564, 1533, 1047],
-    [1567, 1568, 1569, 1531, 817],
-    [1570, 1537, 1568, 1051],
-    [1571, 1572, 1573, 1543, 808],
-    [1574, 1546, 1572, 1048],
-    [1575, 1576, 1577, 1544, 824],
-    [1578, 1550, 1577, 1053],
-    [1579, 1580, 1581, 1514, 860],
-    [1582, 1581, 1556, 1069],
-    [1583, 1580, 1561, 1072],
-    [1584, 1585, 1586, 1240, 1222, 1075, 1056],
-    [1587, 1588, 1250, 1589, 1232, 1077, 1060],
-    [1590, 1591, 1592, 1530, 874],
-    [1593, 1565, 1591, 1081],
-    [1594, 1592, 1569, 1085],
-    [1595, 1596, 1597, 1540, 886],
-    [1598, 1596, 1573, 1088],
-    [1599, 1597, 1576, 1093],
-    [1600, 1601, 1602, 1258, 1267, 1095, 1064],
-    [1603, 1604, 1605, 1277, 1223, 1096, 1068],
-    [1606, 1607, 1608, 1231, 1276, 1073, 1098],
-    [1609, 1610, 1611, 1242, 1286, 1101, 1080],
-    [1612, 1613, 1614, 1249, 1294, 1103, 1089],
-    [1615, 1287, 1260, 1616, 1617, 1105, 1084],
-    [1618, 1619, 1620, 1296, 1268, 1106, 1092],
-    [1621, 1622, 1623, 1624, 1625, 1626, 429],
-    [1627, 1628, 1629, 1622, 827],
-    [1630, 1631, 1632, 1625, 830],
-    [1633, 1628, 1632, 1074],
-    [1634, 1635, 1636, 1637, 1638, 1639, 438],
-    [1640, 1641, 1642, 1637, 834],
-    [1643, 1644, 1645, 1638, 838],
-    [1646, 1641, 1644, 1076],
-    [1647, 1648, 1649, 1650, 1651, 1652, 448],
-    [1653, 1654, 1655, 1651, 842],
-    [1656, 1657, 1658, 1649, 847],
-    [1659, 1657, 1655, 1094],
-    [1660, 1661, 1662, 1626, 892],
-    [1663, 1629, 1661, 1097],
-    [1664, 1665, 1666, 1624, 903],
-    [1667, 1665, 1631, 1100],
-    [1668, 1669, 1670, 1636, 897],
-    [1671, 1669, 1642, 1099],
-    [1672, 1673, 1674, 1635, 915],
-    [1675, 1673, 1645, 1102],
-    [1676, 1677, 1678, 1650, 907],
-    [1679, 1677, 1654, 1104],
-    [1680, 1681, 1682, 1652, 920],
-    [1683, 1658, 1681, 1107],
-    [1684, 1685, 1686, 1278, 1305, 1110, 1112],
-    [1687, 1688, 1689, 1623, 932],
-    [1690, 1689, 1662, 1111],
-    [1691, 1688, 1666, 1117],
-    [1692, 1693, 1694, 1639, 940],
-    [1695, 1670, 1694, 1113],
-    [1696, 1674, 1693, 1121],
-    [1697, 1698, 1699, 1285, 1303, 1123, 1116],
-    [1700, 1701, 1702, 1295, 1304, 1124, 1120],
-    [1703, 1704, 1705, 1648, 943],
-    [1706, 1704, 1678, 1122],
-    [1707, 1705, 1682, 1125],
-    [1708, 1709, 1710, 1711, 1712, 1129, 1321],
-    [1713, 1714, 1712, 1307, 1327],
-    [1715, 1716, 1711, 1310, 1331],
-    [1717, 1718, 1719, 1131, 1720, 1721, 1338],
-    [1722, 1720, 1723, 1308, 1344],
-    [1724, 1725, 1726, 1727, 1728, 1130, 1355],
-    [1729, 1727, 1730, 1311, 1361],
-    [1731, 1721, 1732, 1314, 1348],
-    [1733, 1734, 1728, 1313, 1365],
-    [1735, 1736, 1737, 1140, 1738, 1714, 1324],
-    [1739, 1740, 1741, 1716, 1148, 1742, 1328],
-    [1743, 1744, 1745, 1723, 1746, 1139, 1341],
-    [1747, 1748, 1749, 1730, 1750, 1147, 1358],
-    [1751, 1752, 1753, 1732, 1754, 1157, 1345],
-    [1755, 1756, 1757, 1158, 1758, 1734, 1362],
-    [1759, 1738, 1760, 1392, 1369],
-    [1761, 1762, 1742, 1398, 1373],
-    [1763, 1764, 1746, 1377, 1395],
-    [1765, 1766, 1750, 1401, 1385],
-    [1767, 1754, 1768, 1407, 1381],
-    [1769, 1758, 1770, 1410, 1389],
-    [1771, 1772, 1773, 1774, 1760, 1165, 1366],
-    [1775, 1776, 1777, 1778, 1175, 1762, 1370],
-    [1779, 1780, 1781, 1764, 1184, 1374, 1782],
-    [1783, 1784, 1785, 1786, 1194, 1382, 1765],
-    [1787, 1788, 1789, 1768, 1790, 1378, 1201],
-    [1791, 1792, 1793, 1770, 1794, 1210, 1386],
-    [1795, 1778, 1774, 1412, 1390],
-    [1796, 1797, 1798, 1799, 1800, 1138, 1420],
-    [1801, 1802, 1799, 1393, 1426],
-    [1803, 1804, 1800, 1430, 1394],
-    [1805, 1806, 1807, 1149, 1808, 1437, 1809],
-    [1810, 1811, 1808, 1399, 1443],
-    [1812, 1809, 1813, 1402, 1447],
-    [1782, 1814, 1790, 1449, 1403],
-    [1815, 1786, 1794, 1452, 1404],
-    [1816, 1817, 1818, 1819, 1820, 1156, 1460],
-    [1821, 1822, 1820, 1406, 1466],
-    [1823, 1824, 1819, 1409, 1470],
-    [1825, 1826, 1827, 1167, 1802, 1828, 1423],
-    [1829, 1830, 1831, 1804, 1183, 1427, 1832],
-    [1833, 1834, 1835, 1176, 1811, 1440, 1836],
-    [1837, 1838, 1839, 1813, 1193, 1840, 1444],
-    [1841, 1842, 1843, 1822, 1203, 1463, 1844],
-    [1845, 1846, 1847, 1212, 1824, 1848, 1467],
-    [1849, 1850, 1851, 1413, 1525],
-    [1852, 1853, 1854, 1850, 1855, 1166, 1519],
-    [1856, 1828, 1857, 1473, 1477],
-    [1858, 1859, 1860, 1851, 1861, 1174, 1522],
-    [1862, 1836, 1863, 1480, 1488],
-    [1832, 1864, 1865, 1490, 1484],
-    [1866, 1867, 1868, 1450, 1538],
-    [1869, 1870, 1871, 1872, 1867, 1185, 1532],
-    [1873, 1840, 1874, 1498, 1495],
-    [1875, 1876, 1877, 1868, 1878, 1202, 1535],
-    [1879, 1880, 1881, 1453, 1551],
-    [1882, 1883, 1884, 1881, 1885, 1545, 1192],
-    [1844, 1886, 1887, 1500, 1505],
-    [1888, 1889, 1890, 1891, 1880, 1211, 1548],
-    [1892, 1848, 1893, 1507, 1512],
-    [1894, 1895, 1855, 1472, 1558],
-    [1896, 1897, 1861, 1479, 1562],
-    [1898, 1899, 1872, 1491, 1566],
-    [1900, 1901, 1878, 1501, 1570],
-    [1902, 1903, 1885, 1497, 1574],
-    [1904, 1905, 1891, 1508, 1578],
-    [1906, 1907, 1908, 1857, 1909, 1220, 1474],
-    [1910, 1911, 1912, 1913, 1865, 1481, 1237],
-    [1914, 1915, 1916, 1917, 1863, 1229, 1485],
-    [1918, 1919, 1920, 1248, 1921, 1874, 1492],
-    [1922, 1923, 1924, 1925, 1887, 1255, 1502],
-    [1926, 1927, 1928, 1929, 1893, 1265, 1509],
-    [1930, 1931, 1932, 1221, 1933, 1895, 1555],
-    [1934, 1909, 1913, 1586, 1552],
-    [1935, 1936, 1937, 1938, 1230, 1559, 1896],
-    [1939, 1921, 1917, 1589, 1553],
-    [1940, 1941, 1942, 1943, 1238, 1899, 1563],
-    [1944, 1945, 1946, 1947, 1247, 1571, 1902],
-    [1948, 1949, 1950, 1257, 1951, 1567, 1900],
-    [1952, 1929, 1925, 1602, 1554],
-    [1953, 1954, 1955, 1266, 1956, 1905, 1575],
-    [1957, 1933, 1958, 1605, 1582],
-    [1959, 1938, 1960, 1607, 1583],
-    [1961, 1962, 1943, 1611, 1593],
-    [1963, 1964, 1951, 1617, 1594],
-    [1965, 1947, 1966, 1598, 1613],
-    [1967, 1956, 1968, 1620, 1599],
-    [1969, 1970, 1971, 1958, 1960, 1273, 1579],
-    [1972, 1973, 1974, 1585, 1633],
-    [1975, 1976, 1977, 1978, 1974, 1219, 1627],
-    [1979, 1980, 1981, 1973, 1239, 1630, 1982],
-    [1983, 1984, 1985, 1588, 1646],
-    [1986, 1987, 1988, 1989, 1985, 1640, 1228],
-    [1990, 1991, 1992, 1993, 1246, 1643, 1983],
-    [1994, 1995, 1996, 1284, 1964, 1590, 1961],
-    [1997, 1998, 1999, 1968, 1966, 1292, 1595],
-    [2000, 2001, 2002, 1601, 1659],
-    [2003, 2004, 2005, 2001, 1256, 2006, 1653],
-    [2007, 2008, 2009, 2002, 2010, 1264, 1656],
-    [2011, 2012, 1978, 1604, 1663],
-    [2013, 2014, 1989, 1608, 1671],
-    [1982, 2015, 2016, 1610, 1667],
-    [2017, 1993, 2018, 1675, 1612],
-    [2019, 2020, 2006, 1616, 1679],
-    [2021, 2022, 2010, 1619, 1683],
-    [2023, 2024, 2025, 1275, 2012, 2026, 1660],
-    [2027, 2028, 2029, 2030, 2014, 1274, 1668],
-    [2031, 2032, 2033, 2034, 2016, 1282, 1664],
-    [2035, 2036, 2037, 2038, 2018, 1291, 1672],
-    [2039, 2040, 2041, 2042, 1283, 2020, 1676],
-    [2043, 2044, 2045, 1293, 2046, 2022, 1680],
-    [2047, 2026, 2048, 1685, 1690],
-    [2049, 2050, 2030, 1686, 1695],
-    [2051, 2052, 2034, 1699, 1691],
-    [2053, 2054, 2038, 1702, 1696],
-    [2055, 2042, 2056, 1698, 1706],
-    [2057, 2046, 2058, 1701, 1707],
-    [2059, 2060, 2061, 2052, 2048, 1301, 1687],
-    [2062, 2063, 2064, 1302, 2054, 2050, 1692],
-    [2065, 2066, 2067, 2056, 2058, 1300, 1703],
-    [2068, 2069, 2070, 2071, 2072, 2073, 1737, 1777, 1741, 1773, 1710, 1315],
-    [2074, 2075, 2076, 2077, 2078, 2079, 1719, 1753, 1781, 1745, 1789, 1332],
-    [2080, 2081, 2082, 2083, 2084, 2085, 1757, 1785, 1726, 1749, 1791, 1349],
-    [2086, 2087, 2088, 2089, 2090, 2091, 1827, 1908, 1831, 1798, 1912, 1414],
-    [2092, 2093, 2094, 2095, 2096, 2097, 1835, 1807, 1915, 1839, 1433, 1920],
-    [2098, 2099, 2100, 2101, 2102, 2103, 1847, 1843, 1928, 1924, 1816, 1454],
-    [2104, 2105, 2106, 2107, 2108, 2109, 1932, 1937, 1854, 1860, 1969, 1513],
-    [2110, 2111, 2112, 2113, 2114, 2115, 1996, 1950, 1942, 1876, 1528, 1871],
-    [2116, 2117, 2118, 2119, 2120, 2121, 1955, 1890, 1946, 1999, 1884, 1539],
-    [2122, 2123, 2124, 2125, 2126, 2127, 2025, 1981, 2061, 2033, 1975, 1621],
-    [2128, 2129, 2130, 2131, 2132, 2133, 2064, 2029, 1992, 2037, 1988, 1634],
-    [2134, 2135, 2136, 2137, 2138, 2139, 2045, 2041, 2005, 2067, 2009, 1647],
-    [2140, 2141, 2142, 2143, 1306],
-    [2144, 2145, 2146, 2147, 2148, 2140, 1127],
-    [2149, 2150, 2143, 1713],
-    [2151, 2152, 2148, 2150, 1709],
-    [2153, 2154, 2155, 2156, 1309],
-    [2157, 2158, 2159, 2160, 2153, 1128, 2161],
-    [2162, 2163, 2156, 1715],
-    [2161, 2164, 2165, 2163, 1708],
-    [2166, 2167, 2142, 1722],
-    [2168, 2169, 2147, 2166, 1717],
-    [2170, 2171, 2155, 1729],
-    [2172, 2173, 2160, 2170, 1724],
-    [2174, 2175, 2176, 2177, 1312],
-    [2178, 2179, 2180, 2181, 2182, 2174, 1126],
-    [2183, 2184, 2176, 1731],
-    [2185, 2186, 2181, 1718, 2183],
-    [2187, 2188, 2177, 1733],
-    [2189, 2190, 2182, 2187, 1725],
-    [2191, 2192, 2193, 2194, 2195, 2141, 1136],
-    [2196, 2197, 2194, 2149, 1736],
-    [2198, 2199, 2195, 2167, 1743],
-    [2200, 2201, 2202, 2203, 2154, 2204, 1145],
-    [2205, 2206, 2203, 2162, 1739],
-    [2207, 2208, 2204, 2171, 1747],
-    [2209, 2210, 2211, 2212, 2213, 2175, 1153],
-    [2214, 2215, 2213, 2184, 1752],
-    [2216, 2217, 2212, 2188, 1756],
-    [2218, 2219, 2220, 2221, 1391],
-    [2222, 2223, 2221, 1759],
-    [2224, 2225, 2226, 2227, 2228, 2219, 1135],
-    [2229, 2230, 2227, 2222, 1735],
-    [2231, 2232, 2233, 2234, 1397],
-    [2235, 2236, 2234, 1761],
-    [2237, 2238, 2239, 2240, 2241, 1144, 2232],
-    [2242, 2243, 2240, 1740, 2236],
-    [2244, 2245, 2246, 2247, 1396],
-    [2248, 2249, 2250, 2244, 2251, 2252, 1137],
-    [2253, 2254, 2247, 1763],
-    [2255, 2252, 2256, 2253, 1744],
-    [2257, 2258, 2259, 2260, 1400],
-    [2261, 2262, 2263, 2264, 2265, 1146, 2257],
-    [2266, 2267, 2260, 1766],
-    [2268, 2269, 2264, 1748, 2267],
-    [2270, 2271, 2272, 2273, 1405],
-    [2274, 2275, 2272, 1767],
-    [2276, 2277, 2278, 2279, 2270, 1155, 2280],
-    [2281, 2282, 2279, 2274, 1751],
-    [2283, 2284, 2285, 2286, 1408],
-    [2287, 2288, 2286, 1769],
-    [2289, 2290, 2291, 2292, 2293, 2284, 1154],
-    [2294, 2295, 2292, 2287, 1755],
-    [2296, 2297, 2298, 2299, 2300, 2218, 1163],
-    [2301, 2302, 2300, 2223, 1772],
-    [2303, 2304, 2220, 1801],
-    [2305, 2306, 2228, 2304, 1796],
-    [2307, 2308, 2309, 2310, 2311, 1171, 2231],
-    [2312, 2313, 2310, 1776, 2235],
-    [2314, 2315, 2246, 1803],
-    [2316, 2251, 2317, 2314, 1797],
-    [2318, 2319, 2233, 1810],
-    [2320, 2321, 2241, 2319, 1805],
-    [2322, 2323, 2324, 2325, 2326, 2245, 1180],
-    [2327, 2328, 2326, 2254, 1779],
-    [2329, 2330, 2259, 1812],
-    [2331, 2332, 2265, 2329, 1806],
-    [2333, 2334, 2335, 2336, 2337, 2258, 1190],
-    [2338, 2339, 2336, 1784, 2266],
-    [2340, 2341, 2342, 2343, 2271, 2344, 1198],
-    [2345, 2344, 2346, 2275, 1787],
-    [2347, 2348, 2273, 1821],
-    [2280, 2349, 2350, 2348, 1818],
-    [2351, 2352, 2353, 2354, 2355, 2283, 1208],
-    [2356, 2357, 2355, 2288, 1792],
-    [2358, 2359, 2285, 1823],
-    [2360, 2361, 2293, 2359, 1817],
-    [2362, 2363, 2364, 2365, 1411],
-    [2366, 2367, 2365, 1795],
-    [2368, 2369, 2370, 2371, 2362, 1164, 2372],
-    [2372, 2373, 2374, 2367, 1771],
-    [2375, 2376, 2299, 2303, 1825],
-    [2377, 2378, 2379, 2380, 2363, 2381, 1172],
-    [2382, 2383, 2380, 2366, 1775],
-    [2384, 2385, 2311, 2318, 1833],
-    [2386, 2387, 2325, 2315, 1829],
-    [2388, 2389, 2390, 2391, 1448],
-    [2392, 2393, 2391, 1814],
-    [2394, 2395, 2396, 2397, 2398, 2388, 1182],
-    [2399, 2400, 2397, 1780, 2392],
-    [2401, 2402, 2337, 2330, 1837],
-    [2403, 2404, 2405, 2406, 2407, 2389, 1200],
-    [2408, 2409, 2406, 1788, 2393],
-    [2410, 2411, 2412, 2413, 1451],
-    [2414, 2415, 2413, 1815],
-    [2416, 2417, 2418, 2419, 2411, 2420, 1189],
-    [2421, 2422, 2419, 2414, 1783],
-    [2423, 2424, 2343, 2347, 1841],
-    [2425, 2426, 2427, 2428, 2410, 1209, 2429],
-    [2429, 2430, 2431, 2415, 1793],
-    [2432, 2433, 2354, 2358, 1845],
-    [2434, 2435, 2364, 1849],
-    [2436, 2437, 2371, 2434, 1852],
-    [2438, 2439, 2381, 2435, 1858],
-    [2440, 2441, 2390, 1866],
-    [2442, 2443, 2398, 2441, 1870],
-    [2444, 2445, 2407, 1875, 2440],
-    [2446, 2447, 2412, 1879],
-    [2448, 2420, 2449, 2447, 1882],
-    [2450, 2451, 2428, 2446, 1888],
-    [2452, 2453, 2454, 2455, 1471],
-    [2456, 2457, 2458, 2459, 2460, 2452, 1162],
-    [2461, 2462, 2454, 1856],
-    [2463, 2464, 2459, 1826, 2461],
-    [2465, 2466, 2467, 2468, 1478],
-    [2469, 2470, 2471, 2472, 2473, 1173, 2465],
-    [2474, 2475, 2467, 1862],
-    [2476, 2477, 2473, 2474, 1834],
-    [2478, 2479, 2480, 2481, 1489],
-    [2482, 2483, 2484, 2485, 2486, 2478, 1181],
-    [2487, 2488, 2481, 1864],
-    [2489, 2490, 2485, 1830, 2487],
-    [2491, 2492, 2493, 2494, 1496],
-    [2495, 2496, 2497, 2498, 2499, 2492, 1191],
-    [2500, 2501, 2493, 1873],
-    [2502, 2503, 2499, 1838, 2500],
-    [2504, 2505, 2506, 2507, 1499],
-    [2508, 2509, 2510, 2511, 2512, 2505, 1199],
-    [2513, 2514, 2507, 1886],
-    [2515, 2516, 2511, 1842, 2513],
-    [2517, 2518, 2519, 2520, 1506],
-    [2521, 2522, 2523, 2524, 2525, 2518, 1207],
-    [2526, 2527, 2520, 1892],
-    [2528, 2529, 2524, 1846, 2526],
-    [2530, 2531, 2455, 1894],
-    [2532, 2533, 2460, 2531, 1853],
-    [2534, 2535, 2468, 1897],
-    [2536, 2537, 2472, 1859, 2535],
-    [2538, 2539, 2480, 1898],
-    [2540, 2541, 2486, 2539, 1869],
-    [2542, 2543, 2494, 1903],
-    [2544, 2545, 2498, 1883, 2543],
-    [2546, 2547, 2506, 1901],
-    [2548, 2549, 2512, 2547, 1877],
-    [2550, 2551, 2519, 1904],
-    [2552, 2553, 2525, 2551, 1889],
-    [2554, 2555, 2556, 2557, 2558, 2453, 1216],
-    [2559, 2560, 2558, 2462, 1907],
-    [2561, 2562, 2563, 2564, 2565, 2466, 1226],
-    [2566, 2567, 2565, 2475, 1916],
-    [2568, 2569, 2570, 2571, 2572, 2479, 1236],
-    [2573, 2574, 2571, 1911, 2488],
-    [2575, 2576, 2577, 2578, 2579, 2491, 1245],
-    [2580, 2581, 2579, 2501, 1919],
-    [2582, 2583, 2584, 2585, 2586, 1254, 2504],
-    [2587, 2588, 2585, 1923, 2514],
-    [2589, 2590, 2591, 2592, 2593, 2517, 1261],
-    [2594, 2595, 2593, 2527, 1927],
-    [2596, 2597, 2557, 1931, 2530],
-    [2598, 2599, 2564, 1936, 2534],
-    [2600, 2601, 2572, 1941, 2538],
-    [2602, 2603, 2578, 1945, 2542],
-    [2604, 2605, 2586, 1949, 2546],
-    [2606, 2607, 2592, 1954, 2550],
-    [2608, 2609, 2610, 2611, 1584],
-    [2612, 2613, 2610, 1934],
-    [2614, 2615, 2616, 2617, 2608, 1218, 2618],
-    [2619, 2620, 2617, 2612, 1906],
-    [2621, 2622, 2623, 2624, 2609, 2625, 1234],
-    [2626, 2625, 2627, 2613, 1910],
-    [2628, 2629, 2630, 2631, 1587],
-    [2632, 2633, 2630, 1939],
-    [2634, 2635, 2636, 2637, 2638, 2629, 1227],
-    [2639, 2640, 2638, 1914, 2632],
-    [2641, 2642, 2643, 2644, 2645, 2628, 1244],
-    [2646, 2647, 2645, 2633, 1918],
-    [2648, 2649, 2650, 2651, 1600],
-    [2652, 2653, 2650, 1952],
-    [2654, 2655, 2656, 2657, 2649, 2658, 1253],
-    [2659, 2658, 2660, 2653, 1922],
-    [2661, 2662, 2663, 2664, 2648, 1263, 2665],
-    [2666, 2667, 2664, 2652, 1926],
-    [2668, 2669, 2670, 2671, 1603],
-    [2672, 2673, 2671, 1957],
-    [2674, 2675, 2676, 2677, 2678, 2669, 1217],
-    [2679, 2680, 2677, 2672, 1930],
-    [2681, 2682, 2611, 1972],
-    [2618, 2683, 2684, 2682, 1977],
-    [2685, 2686, 2687, 2688, 1606],
-    [2689, 2690, 2688, 1959],
-    [2691, 2692, 2693, 2694, 2686, 2695, 1225],
-    [2696, 2697, 2694, 2689, 1935],
-    [2698, 2699, 2624, 2681, 1979],
-    [2700, 2701, 2631, 1984],
-    [2702, 2703, 2637, 1987, 2701],
-    [2704, 2705, 2706, 2707, 1609],
-    [2708, 2709, 2710, 2711, 2712, 2705, 1235],
-    [2713, 2714, 2706, 1962],
-    [2715, 2716, 2712, 2714, 1940],
-    [2717, 2718, 2644, 1991, 2700],
-    [2719, 2720, 2721, 2722, 1614],
-    [2723, 2724, 2725, 2726, 2727, 2720, 1243],
-    [2728, 2729, 2722, 1965],
-    [2730, 2731, 2727, 2729, 1944],
-    [2732, 2733, 2734, 2735, 1615],
-    [2736, 2737, 2734, 1963],
-    [2738, 2739, 2740, 2741, 2742, 1252, 2733],
-    [2743, 2744, 2742, 2737, 1948],
-    [2745, 2746, 2651, 2000],
-    [2747, 2748, 2657, 2745, 2003],
-    [2749, 2750, 2751, 2752, 1618],
-    [2753, 2754, 2751, 1967],
-    [2755, 2756, 2757, 2758, 2759, 2749, 1262],
-    [2760, 2761, 2758, 2753, 1953],
-    [2665, 2762, 2763, 2746, 2007],
-    [2764, 2765, 2766, 2767, 2768, 2668, 1271],
-    [2769, 2770, 2768, 2673, 1970],
-    [2771, 2772, 2670, 2011],
-    [2773, 2774, 2678, 2772, 1976],
-    [2775, 2776, 2777, 2778, 2685, 1272, 2779],
-    [2779, 2780, 2781, 2690, 1971],
-    [2782, 2783, 2687, 2013],
-    [2784, 2695, 2785, 2783, 1986],
-    [2786, 2787, 2707, 2015],
-    [2788, 2789, 2711, 1980, 2786],
-    [2790, 2791, 2792, 2793, 2794, 1281, 2704],
-    [2795, 2796, 2794, 1995, 2713],
-    [2797, 2798, 2721, 2017],
-    [2799, 2800, 2726, 2798, 1990],
-    [2801, 2802, 2803, 2804, 2805, 1279, 2732],
-    [2806, 2807, 2805, 2736, 1994],
-    [2808, 2809, 2810, 2719, 2811, 2812, 1290],
-    [2813, 2812, 2814, 2728, 1998],
-    [2815, 2816, 2735, 2019],
-    [2817, 2818, 2741, 2004, 2816],
-    [2819, 2820, 2821, 2822, 2823, 2750, 1289],
-    [2824, 2825, 2823, 2754, 1997],
-    [2826, 2827, 2752, 2021],
-    [2828, 2829, 2759, 2827, 2008],
-    [2830, 2831, 2767, 2771, 2023],
-    [2832, 2833, 2778, 2782, 2027],
-    [2834, 2835, 2793, 2032, 2787],
-    [2836, 2811, 2837, 2797, 2036],
-    [2838, 2839, 2804, 2040, 2815],
-    [2840, 2841, 2822, 2826, 2044],
-    [2842, 2843, 2844, 2845, 1684],
-    [2846, 2847, 2848, 2849, 2850, 2843, 1270],
-    [2851, 2852, 2845, 2047],
-    [2853, 2854, 2849, 2852, 2024],
-    [2855, 2856, 2844, 2049],
-    [2857, 2858, 2850, 2856, 2028],
-    [2859, 2860, 2861, 2862, 1697],
-    [2863, 2864, 2865, 2866, 2860, 2867, 1280],
-    [2868, 2869, 2861, 2051],
-    [2870, 2867, 2871, 2869, 2031],
-    [2872, 2873, 2862, 2055],
-    [2874, 2875, 2866, 2872, 2039],
-    [2876, 2877, 2878, 2879, 1700],
-    [2880, 2881, 2882, 2883, 2884, 2877, 1288],
-    [2885, 2886, 2878, 2053],
-    [2887, 2888, 2884, 2886, 2035],
-    [2889, 2890, 2879, 2057],
-    [2891, 2892, 2883, 2889, 2043],
-    [2893, 2894, 2895, 2896, 2897, 2842, 1297],
-    [2898, 2899, 2897, 2851, 2060],
-    [2900, 2901, 2896, 2063, 2855],
-    [2902, 2903, 2904, 2905, 2859, 1299, 2906],
-    [2907, 2908, 2905, 2868, 2059],
-    [2909, 2910, 2911, 2912, 2913, 2876, 1298],
-    [2914, 2915, 2912, 2885, 2062],
-    [2906, 2916, 2917, 2873, 2065],
-    [2918, 2919, 2913, 2890, 2066],
-    [2920, 2921, 2922, 2923, 2072, 2151, 2197],
-    [2924, 2925, 2926, 2927, 2205, 2164, 2070],
-    [2928, 2929, 2930, 2931, 2077, 2169, 2198],
-    [2932, 2933, 2934, 2935, 2172, 2207, 2081],
-    [2936, 2937, 2938, 2939, 2079, 2186, 2214],
-    [2940, 2941, 2942, 2943, 2085, 2216, 2189],
-    [2944, 2945, 2946, 2947, 2071, 2230, 2301],
-    [2948, 2949, 2950, 2951, 2073, 2312, 2242],
-    [2952, 2953, 2954, 2955, 2255, 2076, 2327],
-    [2956, 2957, 2958, 2959, 2084, 2339, 2268],
-    [2960, 2961, 2962, 2963, 2281, 2345, 2075],
-    [2964, 2965, 2966, 2967, 2083, 2295, 2356],
-    [2968, 2969, 2970, 2971, 2382, 2373, 2069],
-    [2972, 2973, 2974, 2975, 2078, 2400, 2408],
-    [2976, 2977, 2978, 2979, 2082, 2421, 2430],
-    [2980, 2981, 2982, 2983, 2089, 2376, 2305],
-    [2984, 2985, 2986, 2987, 2316, 2088, 2386],
-    [2988, 2989, 2990, 2991, 2385, 2321, 2097],
-    [2992, 2993, 2994, 2995, 2332, 2401, 2096],
-    [2996, 2997, 2998, 2999, 2100, 2423, 2349],
-    [3000, 3001, 3002, 3003, 2101, 2433, 2360],
-    [3004, 3005, 3006, 3007, 2436, 2438, 2105],
-    [3008, 3009, 3010, 3011, 2091, 2464, 2559],
-    [3012, 3013, 3014, 3015, 2090, 2490, 2573],
-    [3016, 3017, 3018, 3019, 2477, 2566, 2095],
-    [3020, 3021, 3022, 3023, 2503, 2581, 2094],
-    [3024, 3025, 3026, 3027, 2445, 2443, 2112],
-    [3028, 3029, 3030, 3031, 2450, 2448, 2117],
-    [3032, 3033, 3034, 3035, 2102, 2516, 2587],
-    [3036, 3037, 3038, 3039, 2103, 2529, 2594],
-    [3040, 3041, 3042, 3043, 2109, 2597, 2532],
-    [3044, 3045, 3046, 3047, 2108, 2599, 2536],
-    [3048, 3049, 3050, 3051, 2619, 2626, 2087],
-    [3052, 3053, 3054, 3055, 2640, 2647, 2093],
-    [3056, 3057, 3058, 3059, 2601, 2541, 2111],
-    [3060, 3061, 3062, 3063, 2605, 2548, 2114],
-    [3064, 3065, 3066, 3067, 2120, 2603, 2544],
-    [3068, 3069, 3070, 3071, 2121, 2607, 2552],
-    [3072, 3073, 3074, 3075, 2666, 2659, 2099],
-    [3076, 3077, 3078, 3079, 2107, 2680, 2769],
-    [3080, 3081, 3082, 3083, 2106, 2696, 2780],
-    [3084, 3085, 3086, 3087, 2796, 2715, 2113],
-    [3088, 3089, 3090, 3091, 2807, 2744, 2115],
-    [3092, 3093, 3094, 3095, 2813, 2118, 2730],
-    [3096, 3097, 3098, 3099, 2119, 2761, 2824],
-    [3100, 3101, 3102, 3103, 2124, 2698, 2683],
-    [3104, 3105, 3106, 3107, 2132, 2718, 2702],
-    [3108, 3109, 3110, 3111, 2747, 2762, 2136],
-    [3112, 3113, 3114, 3115, 2125, 2831, 2773],
-    [3116, 3117, 3118, 3119, 2832, 2784, 2129],
-    [3120, 3121, 3122, 3123, 2126, 2789, 2834],
-    [3124, 3125, 3126, 3127, 2836, 2130, 2799],
-    [3128, 3129, 3130, 3131, 2139, 2838, 2817],
-    [3132, 3133, 3134, 3135, 2138, 2841, 2828],
-    [3136, 3137, 3138, 3139, 2127, 2853, 2898],
-    [3140, 3141, 3142, 3143, 2133, 2901, 2857],
-    [3144, 3145, 3146, 3147, 2907, 2870, 2123],
-    [3148, 3149, 3150, 3151, 2131, 2915, 2887],
-    [3152, 3153, 3154, 3155, 2874, 2916, 2135],
-    [3156, 3157, 3158, 3159, 2137, 2918, 2892],
-    [3160, 3161, 2146, 2159, 3162],
-    [3163, 3162, 2165, 2152],
-    [3164, 3165, 3166, 2179, 2144],
-    [3167, 3166, 2168, 2185],
-    [3168, 3169, 3170, 2180, 2158],
-    [3171, 3170, 2173, 2190],
-    [3172, 3173, 2229, 2196],
-    [3174, 3175, 3173, 2224, 2191],
-    [3176, 3177, 2199, 2256],
-    [3178, 3179, 2193, 2250, 3177],
-    [3180, 3181, 2206, 2243],
-    [3182, 3183, 3181, 2239, 2201],
-    [3184, 3185, 2208, 2269],
-    [3186, 3187, 3185, 2202, 2263],
-    [3188, 3189, 2282, 2215],
-    [3190, 3191, 3189, 2211, 2277],
-    [3192, 3193, 2217, 2294],
-    [3194, 3195, 3193, 2210, 2289],
-    [3196, 3197, 2226, 2249, 3198],
-    [3199, 3198, 2306, 2317],
-    [3200, 3201, 3202, 2238, 2261],
-    [3203, 3202, 2320, 2331],
-    [3204, 3205, 2291, 2278, 3206],
-    [3207, 3206, 2361, 2350],
-    [3208, 3209, 2374, 2302],
-    [3210, 3211, 2298, 2370, 3209],
-    [3212, 3213, 2383, 2313],
-    [3214, 3215, 3213, 2309, 2378],
-    [3216, 3217, 2328, 2399],
-    [3218, 3219, 3217, 2324, 2396],
-    [3220, 3221, 2346, 2409],
-    [3222, 3223, 2342, 3221, 2404],
-    [3224, 3225, 2422, 2338],
-    [3226, 3227, 3225, 2417, 2334],
-    [3228, 3229, 2357, 2431],
-    [3230, 3231, 2353, 2427, 3229],
-    [3232, 3233, 3234, 2457, 2296],
-    [3235, 3234, 2375, 2463],
-    [3236, 3237, 3238, 2308, 2469],
-    [3239, 3238, 2384, 2476],
-    [3240, 3241, 3242, 2323, 2484],
-    [3243, 3242, 2387, 2489],
-    [3244, 3245, 3246, 2335, 2496],
-    [3247, 3246, 2402, 2502],
-    [3248, 3249, 3250, 2341, 2509],
-    [3251, 3250, 2424, 2515],
-    [3252, 3253, 3254, 2522, 2351],
-    [3255, 3254, 2432, 2528],
-    [3256, 3257, 3258, 2458, 2369],
-    [3259, 3258, 2437, 2533],
-    [3260, 3261, 3262, 2379, 2471],
-    [3263, 3262, 2439, 2537],
-    [3264, 3265, 3266, 2483, 2395],
-    [3267, 3266, 2540, 2442],
-    [3268, 3269, 2405, 3270, 2510],
-    [3271, 3270, 2549, 2444],
-    [3272, 3273, 2418, 3274, 2497],
-    [3275, 3274, 2449, 2545],
-    [3276, 3277, 3278, 2523, 2426],
-    [3279, 3278, 2451, 2553],
-    [3280, 3281, 2620, 2560],
-    [3282, 3283, 3281, 2556, 2615],
-    [3284, 3285, 2627, 2574],
-    [3286, 3287, 2623, 3285, 2570],
-    [3288, 3289, 2567, 2639],
-    [3290, 3291, 2636, 3289, 2563],
-    [3292, 3293, 2646, 2580],
-    [3294, 3295, 3293, 2642, 2576],
-    [3296, 3297, 2660, 2588],
-    [3298, 3299, 2656, 3297, 2584],
-    [3300, 3301, 2667, 2595],
-    [3302, 3303, 3301, 2591, 2662],
-    [3304, 3305, 2679, 2596],
-    [3306, 3307, 3305, 2555, 2674],
-    [3308, 3309, 2697, 2598],
-    [3310, 3311, 3309, 2692, 2562],
-    [3312, 3313, 2716, 2600],
-    [3314, 3315, 3313, 2710, 2569],
-    [3316, 3317, 2731, 2602],
-    [3318, 3319, 3317, 2725, 2577],
-    [3320, 3321, 2743, 2604],
-    [3322, 3323, 3321, 2739, 2582],
-    [3324, 3325, 2760, 2606],
-    [3326, 3327, 3325, 2590, 2755],
-    [3328, 3329, 2676, 2616, 3330],
-    [3331, 3330, 2774, 2684],
-    [3332, 3333, 3334, 2622, 2709],
-    [3335, 3334, 2699, 2788],
-    [3336, 3337, 2693, 3338, 2635],
-    [3339, 3338, 2785, 2703],
-    [3340, 3341, 3342, 2724, 2643],
-    [3343, 3342, 2800, 2717],
-    [3344, 3345, 3346, 2740, 2655],
-    [3347, 3346, 2748, 2818],
-    [3348, 3349, 2757, 2663, 3350],
-    [3351, 3350, 2763, 2829],
-    [3352, 3353, 2770, 2781],
-    [3354, 3355, 2766, 2777, 3353],
-    [3356, 3357, 2806, 2795],
-    [3358, 3359, 3357, 2802, 2790],
-    [3360, 3361, 2825, 2814],
-    [3362, 3363, 2821, 2810, 3361],
-    [3364, 3365, 3366, 2847, 2764],
-    [3367, 3366, 2854, 2830],
-    [3368, 3369, 3370, 2848, 2776],
-    [3371, 3370, 2833, 2858],
-    [3372, 3373, 2865, 3374, 2792],
-    [3375, 3374, 2871, 2835],
-    [3376, 3377, 3378, 2803, 2864],
-    [3379, 3378, 2875, 2839],
-    [3380, 3381, 2882, 2809, 3382],
-    [3383, 3382, 2888, 2837],
-    [3384, 3385, 3386, 2880, 2819],
-    [3387, 3386, 2891, 2840],
-    [3388, 3389, 2908, 2899],
-    [3390, 3391, 3389, 2895, 2903],
-    [3392, 3393, 2914, 2900],
-    [3394, 3395, 3393, 2894, 2909],
-    [3396, 3397, 2917, 2919],
-    [3398, 3399, 2911, 2904, 3397],
-    [3400, 3165, 3169, 3161],
-    [3401, 3402, 2927, 2923, 3163],
-    [3403, 3404, 3405, 3406, 3407, 3408, 3409, 3410, 2921, 2929, 2145, 2192],
-    [3411, 3412, 3413, 3414, 3415, 3416, 3417, 3418, 2157, 2200, 2925, 2933],
-    [3419, 3420, 2930, 2937, 3167],
-    [3421, 3422, 2935, 2943, 3171],
-    [3423, 3424, 3425, 3426, 3427, 3428, 3429, 3430, 2942, 2938, 2178, 2209],
-    [3431, 3432, 2946, 2922, 3172],
-    [3433, 3434, 2926, 2950, 3180],
-    [3435, 3436, 2955, 2931, 3176],
-    [3437, 3438, 2934, 2959, 3184],
-    [3439, 3440, 2963, 2939, 3188],
-    [3441, 3442, 2966, 3192, 2941],
-    [3443, 3175, 3197, 3179],
-    [3444, 3201, 3183, 3187],
-    [3445, 3195, 3191, 3205],
-    [3446, 3447, 2971, 2947, 3208],
-    [3448, 3449, 3450, 3451, 3452, 3453, 3454, 3455, 2945, 2981, 2297, 2225],
-    [3456, 3457, 2970, 2949, 3212],
-    [3458, 3459, 3460, 3461, 3462, 3463, 3464, 3465, 2951, 2989, 2307, 2237],
-    [3466, 3467, 3468, 3469, 3470, 3471, 3472, 3473, 2248, 2985, 2953, 2322],
-    [3474, 3475, 2954, 3216, 2972],
-    [3476, 3477, 3478, 3479, 3480, 3481, 3482, 3483, 2958, 2993, 2262, 2333],
-    [3484, 3485, 2962, 2975, 3220],
-    [3486, 3487, 2978, 3224, 2956],
-    [3488, 3489, 3490, 3491, 3492, 3493, 3494, 3495, 2276, 2997, 2340, 2961],
-    [3496, 3497, 2979, 2967, 3228],
-    [3498, 3499, 3500, 3501, 3502, 3503, 3504, 3505, 3001, 2965, 2352, 2290],
-    [3506, 3507, 3508, 3509, 3510, 3511, 3512, 3513, 2368, 2377, 2969, 3005],
-    [3514, 3515, 2987, 2983, 3199],
-    [3516, 3517, 2991, 2995, 3203],
-    [3518, 3519, 3520, 3521, 3522, 3523, 3524, 3525, 2974, 2403, 3025, 2394],
-    [3526, 3527, 3528, 3529, 3530, 3531, 3532, 3533, 2425, 2977, 2416, 3029],
-    [3534, 3535, 2999, 3003, 3207],
-    [3536, 3233, 3257, 3211],
-    [3537, 3237, 3215, 3261],
-    [3538, 3265, 3241, 3219],
-    [3539, 3227, 3245, 3273],
-    [3540, 3249, 3269, 3223],
-    [3541, 3253, 3277, 3231],
-    [3542, 3543, 2982, 3009, 3235],
-    [3544, 3545, 2986, 3243, 3012],
-    [3546, 3547, 2990, 3019, 3239],
-    [3548, 3549, 3023, 2994, 3247],
-    [3550, 3551, 2998, 3251, 3032],
-    [3552, 3553, 3002, 3255, 3037],
-    [3554, 3555, 3007, 3043, 3259],
-    [3556, 3557, 3558, 3559, 3560, 3561, 3562, 3563, 3042, 3010, 2456, 2554],
-    [3564, 3565, 3006, 3047, 3263],
-    [3566, 3567, 3568, 3569, 3570, 3571, 3572, 3573, 3046, 3017, 2470, 2561],
-    [3574, 3575, 3576, 3577, 3578, 3579, 3580, 3581, 3014, 2568, 3057, 2482],
-    [3582, 3583, 3267, 3058, 3026],
-    [3584, 3585, 3586, 3587, 3588, 3589, 3590, 3591, 3066, 2495, 3021, 2575],
-    [3592, 3593, 3027, 3062, 3271],
-    [3594, 3595, 3030, 3067, 3275],
-    [3596, 3597, 3598, 3599, 3600, 3601, 3602, 3603, 3034, 3061, 2583, 2508],
-    [3604, 3605, 3031, 3071, 3279],
-    [3606, 3607, 3608, 3609, 3610, 3611, 3612, 3613, 3038, 3070, 2589, 2521],
-    [3614, 3615, 3051, 3011, 3280],
-    [3616, 3617, 3050, 3015, 3284],
-    [3618, 3619, 3055, 3018, 3288],
-    [3620, 3621, 3292, 3054, 3022],
-    [3622, 3623, 3074, 3035, 3296],
-    [3624, 3625, 3075, 3039, 3300],
-    [3626, 3627, 3078, 3304, 3041],
-    [3628, 3629, 3082, 3308, 3044],
-    [3630, 3631, 3632, 3633, 3634, 3635, 3636, 3637, 2614, 3101, 2621, 3049],
-    [3638, 3639, 3640, 3641, 3642, 3643, 3644, 3645, 3106, 2634, 3053, 2641],
-    [3646, 3647, 3059, 3086, 3312],
-    [3648, 3649, 3090, 3063, 3320],
-    [3650, 3651, 3094, 3316, 3064],
-    [3652, 3653, 3098, 3069, 3324],
-    [3654, 3655, 3656, 3657, 3658, 3659, 3660, 3661, 2661, 2654, 3109, 3073],
-    [3662, 3307, 3283, 3329],
-    [3663, 3311, 3291, 3337],
-    [3664, 3333, 3315, 3287],
-    [3665, 3295, 3341, 3319],
-    [3666, 3323, 3345, 3299],
-    [3667, 3327, 3303, 3349],
-    [3668, 3669, 3083, 3079, 3352],
-    [3670, 3671, 3091, 3087, 3356],
-    [3672, 3673, 3095, 3099, 3360],
-    [3674, 3675, 3676, 3677, 3678, 3679, 3680, 3681, 3113, 3077, 2765, 2675],
-    [3682, 3683, 3684, 3685, 3686, 3687, 3688, 3689, 2775, 3081, 2691, 3117],
-    [3690, 3691, 3692, 3693, 3694, 3695, 3696, 3697, 3122, 3085, 2791, 2708],
-    [3698, 3699, 3700, 3701, 3702, 3703, 3704, 3705, 3131, 3089, 2801, 2738],
-    [3706, 3707, 3708, 3709, 3710, 3711, 3712, 3713, 2808, 3125, 3093, 2723],
-    [3714, 3715, 3716, 3717, 3718, 3719, 3720, 3721, 3133, 3097, 2756, 2820],
-    [3722, 3723, 3103, 3115, 3331],
-    [3724, 3725, 3102, 3335, 3120],
-    [3726, 3727, 3118, 3107, 3339],
-    [3728, 3729, 3126, 3343, 3104],
-    [3730, 3731, 3110, 3130, 3347],
-    [3732, 3733, 3111, 3135, 3351],
-    [3734, 3365, 3369, 3355],
-    [3735, 3359, 3377, 3373],
-    [3736, 3385, 3381, 3363],
-    [3737, 3738, 3114, 3367, 3137],
-    [3739, 3740, 3119, 3143, 3371],
-    [3741, 3742, 3146, 3123, 3375],
-    [3743, 3744, 3127, 3151, 3383],
-    [3745, 3746, 3154, 3129, 3379],
-    [3747, 3748, 3158, 3134, 3387],
-    [3749, 3750, 3751, 3752, 3753, 3754, 3755, 3756, 3138, 3142, 2893, 2846],
-    [3757, 3758, 3147, 3139, 3388],
-    [3759, 3760, 3150, 3141, 3392],
-    [3761, 3762, 3763, 3764, 3765, 3766, 3767, 3768, 2902, 2863, 3153, 3145],
-    [3769, 3770, 3771, 3772, 3773, 3774, 3775, 3776, 3157, 3149, 2910, 2881],
-    [3777, 3778, 3155, 3159, 3396],
-    [3779, 3395, 3391, 3399],
-    [3780, 3781, 3417, 3409, 3782, 3402, 3160],
-    [3783, 3784, 3410, 3430, 3785, 3420, 3164],
-    [3786, 3787, 3418, 3429, 3788, 3422, 3168],
-    [3789, 3790, 3455, 3791, 3407, 3432, 3174],
-    [3792, 3793, 3473, 3794, 3408, 3436, 3178],
-    [3795, 3796, 3465, 3797, 3415, 3434, 3182],
-    [3798, 3799, 3482, 3800, 3416, 3438, 3186],
-    [3801, 3802, 3495, 3803, 3428, 3440, 3190],
-    [3804, 3805, 3505, 3806, 3427, 3442, 3194],
-    [3807, 3808, 3809, 3512, 3453, 3447, 3210],
-    [3810, 3811, 3472, 3454, 3812, 3515, 3196],
-    [3813, 3814, 3815, 3513, 3463, 3457, 3214],
-    [3816, 3817, 3483, 3464, 3818, 3517, 3200],
-    [3819, 3820, 3821, 3525, 3471, 3475, 3218],
-    [3822, 3823, 3824, 3533, 3481, 3487, 3226],
-    [3825, 3826, 3827, 3524, 3493, 3485, 3222],
-    [3828, 3829, 3494, 3504, 3830, 3535, 3204],
-    [3831, 3832, 3833, 3532, 3503, 3497, 3230],
-    [3834, 3835, 3563, 3836, 3452, 3543, 3232],
-    [3837, 3838, 3573, 3839, 3462, 3547, 3236],
-    [3840, 3841, 3580, 3842, 3470, 3545, 3240],
-    [3843, 3844, 3591, 3845, 3480, 3549, 3244],
-    [3846, 3847, 3603, 3848, 3492, 3551, 3248],
-    [3849, 3850, 3613, 3851, 3502, 3553, 3252],
-    [3852, 3853, 3562, 3511, 3854, 3555, 3256],
-    [3855, 3856, 3572, 3510, 3857, 3565, 3260],
-    [3858, 3859, 3581, 3860, 3522, 3264, 3583],
-    [3861, 3862, 3602, 3863, 3523, 3593, 3268],
-    [3864, 3865, 3590, 3530, 3866, 3595, 3272],
-    [3867, 3868, 3612, 3531, 3869, 3605, 3276],
-    [3870, 3871, 3872, 3636, 3561, 3615, 3282],
-    [3873, 3874, 3875, 3637, 3579, 3617, 3286],
-    [3876, 3877, 3644, 3878, 3571, 3619, 3290],
-    [3879, 3880, 3645, 3881, 3588, 3294, 3621],
-    [3882, 3883, 3884, 3661, 3601, 3623, 3298],
-    [3885, 3886, 3887, 3660, 3611, 3625, 3302],
-    [3888, 3889, 3681, 3890, 3560, 3627, 3306],
-    [3891, 3892, 3689, 3893, 3570, 3629, 3310],
-    [3894, 3895, 3697, 3896, 3578, 3647, 3314],
-    [3897, 3898, 3713, 3899, 3589, 3651, 3318],
-    [3900, 3901, 3705, 3902, 3600, 3649, 3322],
-    [3903, 3904, 3721, 3905, 3610, 3653, 3326],
-    [3906, 3907, 3680, 3635, 3908, 3723, 3328],
-    [3909, 3910, 3696, 3634, 3911, 3725, 3332],
-    [3912, 3913, 3688, 3643, 3914, 3727, 3336],
-    [3915, 3916, 3712, 3642, 3917, 3729, 3340],
-    [3918, 3919, 3704, 3658, 3920, 3731, 3344],
-    [3921, 3922, 3720, 3659, 3923, 3733, 3348],
-    [3924, 3925, 3926, 3679, 3687, 3669, 3354],
-    [3927, 3928, 3929, 3703, 3694, 3671, 3358],
-    [3930, 3931, 3932, 3719, 3711, 3673, 3362],
-    [3933, 3934, 3756, 3935, 3678, 3738, 3364],
-    [3936, 3937, 3755, 3938, 3686, 3740, 3368],
-    [3939, 3940, 3767, 3941, 3695, 3742, 3372],
-    [3942, 3943, 3775, 3944, 3710, 3744, 3380],
-    [3945, 3946, 3768, 3947, 3702, 3746, 3376],
-    [3948, 3949, 3776, 3950, 3718, 3748, 3384],
-    [3951, 3952, 3953, 3754, 3765, 3758, 3390],
-    [3954, 3955, 3956, 3753, 3773, 3760, 3394],
-    [3957, 3958, 3959, 3774, 3766, 3778, 3398],
-    [3960, 3782, 3788, 3785, 3400],
-    [3961, 3962, 3963, 3964, 3965, 3966, 2068],
-    [3967, 3968, 3965, 3969, 2920],
-    [3970, 3966, 3971, 3972, 2924],
-    [3973, 3969, 3972, 3401],
-    [3974, 3975, 3976, 3977, 3978, 3979, 2074],
-    [3980, 3981, 3979, 3982, 2928],
-    [3983, 3984, 3978, 3985, 2936],
-    [3986, 3985, 3982, 3419],
-    [3987, 3988, 3989, 3990, 3991, 3992, 2080],
-    [3993, 3992, 3994, 3995, 2932],
-    [3996, 3997, 3991, 3998, 2940],
-    [3999, 3998, 3995, 3421],
-    [4000, 4001, 3963, 4002, 2944],
-    [4003, 4002, 3968, 3431],
-    [4004, 4005, 3964, 4006, 2948],
-    [4007, 4006, 3971, 3433],
-    [4008, 3812, 3791, 3794, 3443],
-    [4009, 3818, 3797, 3800, 3444],
-    [4010, 4011, 4012, 3977, 2952],
-    [4013, 4012, 3981, 3435],
-    [4014, 4015, 4016, 3975, 2960],
-    [4017, 4016, 3984, 3439],
-    [4018, 4019, 3990, 4020, 2957],
-    [4021, 4020, 3994, 3437],
-    [4022, 4023, 3989, 4024, 2964],
-    [4025, 4024, 3997, 3441],
-    [4026, 3830, 3806, 3803, 3445],
-    [4027, 4028, 4029, 3962, 2968],
-    [4030, 4029, 4001, 3446],
-    [4031, 4028, 4005, 3456],
-    [4032, 4033, 4034, 3976, 2973],
-    [4035, 4033, 4011, 3474],
-    [4036, 4034, 4015, 3484],
-    [4037, 4038, 4039, 3988, 2976],
-    [4040, 4038, 4019, 3486],
-    [4041, 4039, 4023, 3496],
-    [4042, 3854, 3836, 3809, 3536],
-    [4043, 3857, 3839, 3815, 3537],
-    [4044, 3860, 3842, 3821, 3538],
-    [4045, 3866, 3845, 3824, 3539],
-    [4046, 3863, 3848, 3827, 3540],
-    [4047, 3869, 3851, 3833, 3541],
-    [4048, 4049, 4050, 4051, 4052, 4053, 2086],
-    [4054, 4052, 4055, 4056, 2980],
-    [4057, 4053, 4058, 4059, 2984],
-    [4060, 4056, 4059, 3514],
-    [4061, 4062, 4063, 4064, 4065, 4066, 2092],
-    [4067, 4068, 4065, 4069, 2988],
-    [4070, 4071, 4066, 4072, 2992],
-    [4073, 4069, 4072, 3516],
-    [4074, 4075, 4076, 4077, 4078, 4079, 2098],
-    [4080, 4079, 4081, 4082, 2996],
-    [4083, 4078, 4084, 4085, 3000],
-    [4086, 4085, 4082, 3534],
-    [4087, 4088, 4051, 4089, 3008],
-    [4090, 4089, 4055, 3542],
-    [4091, 4092, 4050, 4093, 3013],
-    [4094, 4093, 4058, 3544],
-    [4095, 4096, 4064, 4097, 3016],
-    [4098, 4097, 4068, 3546],
-    [4099, 4100, 4101, 4063, 3020],
-    [4102, 4101, 4071, 3548],
-    [4103, 4104, 4076, 4105, 3033],
-    [4106, 4105, 4081, 3550],
-    [4107, 4108, 4077, 4109, 3036],
-    [4110, 4109, 4084, 3552],
-    [4111, 4112, 4113, 4049, 3048],
-    [4114, 4113, 4088, 3614],
-    [4115, 4112, 4092, 3616],
-    [4116, 4117, 4118, 4062, 3052],
-    [4119, 4118, 4096, 3618],
-    [4120, 4117, 4100, 3620],
-    [4121, 4122, 4123, 4075, 3072],
-    [4124, 4123, 4104, 3622],
-    [4125, 4122, 4108, 3624],
-    [4126, 4127, 4128, 4129, 4130, 4131, 2104],
-    [4132, 4131, 4133, 4134, 3004],
-    [4135, 4136, 4129, 4137, 3040],
-    [4138, 4137, 4134, 3554],
-    [4139, 4140, 4130, 4141, 3045],
-    [4142, 4141, 4133, 3564],
-    [4143, 4144, 4145, 4146, 4147, 4148, 2110],
-    [4149, 4148, 4150, 4151, 3024],
-    [4152, 4147, 4153, 4154, 3056],
-    [4155, 4154, 4151, 3582],
-    [4156, 4157, 4146, 4158, 3060],
-    [4159, 4158, 4150, 3592],
-    [4160, 4161, 4162, 4163, 4164, 4165, 2116],
-    [4166, 4165, 4167, 4168, 3028],
-    [4169, 4170, 4164, 4171, 3065],
-    [4172, 4171, 4168, 3594],
-    [4173, 4174, 4163, 4175, 3068],
-    [4176, 4175, 4167, 3604],
-    [4177, 4178, 4179, 4128, 3076],
-    [4180, 4179, 4136, 3626],
-    [4181, 3908, 3890, 3872, 3662],
-    [4182, 4183, 4184, 4127, 3080],
-    [4185, 4184, 4140, 3628],
-    [4186, 3914, 3893, 3878, 3663],
-    [4187, 3911, 3896, 3875, 3664],
-    [4188, 4189, 4144, 4190, 3084],
-    [4191, 4190, 4153, 3646],
-    [4192, 3917, 3899, 3881, 3665],
-    [4193, 4194, 4145, 4195, 3088],
-    [4196, 4195, 4157, 3648],
-    [4197, 4198, 4199, 4161, 3092],
-    [4200, 4199, 4170, 3650],
-    [4201, 3920, 3902, 3884, 3666],
-    [4202, 4203, 4204, 4162, 3096],
-    [4205, 4204, 4174, 3652],
-    [4206, 3923, 3905, 3887, 3667],
-    [4207, 4183, 4178, 3668],
-    [4208, 4189, 4194, 3670],
-    [4209, 4198, 4203, 3672],
-    [4210, 3938, 3935, 3926, 3734],
-    [4211, 4212, 4213, 4214, 4215, 4216, 2122],
-    [4217, 4216, 4218, 4219, 3100],
-    [4220, 4221, 4215, 4222, 3112],
-    [4223, 4222, 4218, 3722],
-    [4224, 4225, 4214, 4226, 3121],
-    [4227, 4226, 4219, 3724],
-    [4228, 4229, 4230, 4231, 4232, 4233, 2128],
-    [4234, 4232, 4235, 4236, 3105],
-    [4237, 4233, 4238, 4239, 3116],
-    [4240, 4239, 4235, 3726],
-    [4241, 4231, 4242, 4243, 3124],
-    [4244, 4243, 4236, 3728],
-    [4245, 3941, 3947, 3929, 3735],
-    [4246, 3944, 3950, 3932, 3736],
-    [4247, 4248, 4249, 4250, 4251, 4252, 2134],
-    [4253, 4252, 4254, 4255, 3108],
-    [4256, 4257, 4250, 4258, 3128],
-    [4259, 4258, 4255, 3730],
-    [4260, 4261, 4251, 4262, 3132],
-    [4263, 4262, 4254, 3732],
-    [4264, 4265, 4213, 4266, 3136],
-    [4267, 4266, 4221, 3737],
-    [4268, 4269, 4270, 4212, 3144],
-    [4271, 4270, 4225, 3741],
-    [4272, 4273, 4230, 4274, 3140],
-    [4275, 4274, 4238, 3739],
-    [4276, 4277, 4229, 4278, 3148],
-    [4279, 4278, 4242, 3743],
-    [4280, 4281, 4282, 4248, 3152],
-    [4283, 4282, 4257, 3745],
-    [4284, 4285, 4249, 4286, 3156],
-    [4287, 4286, 4261, 3747],
-    [4288, 4269, 4265, 3757],
-    [4289, 4277, 4273, 3759],
-    [4290, 4281, 4285, 3777],
-    [4291, 3956, 3953, 3959, 3779],
-    [4292, 4293, 4294, 3781, 3973],
-    [4295, 4296, 4297, 4293, 4298, 3406, 3967],
-    [4299, 4300, 4301, 4294, 4302, 3412, 3970],
-    [4303, 4304, 4305, 3784, 3986],
-    [4306, 4307, 4308, 4309, 4305, 3405, 3980],
-    [4310, 4311, 4312, 4313, 3425, 4304, 3983],
-    [4314, 4315, 4316, 3787, 3999],
-    [4317, 4318, 4319, 4316, 4320, 3411, 3993],
-    [4321, 4322, 4323, 4315, 3426, 4324, 3996],
-    [4325, 4326, 4298, 3790, 4003],
-    [4327, 4328, 4302, 3796, 4007],
-    [4329, 4309, 4330, 3793, 4013],
-    [4331, 4332, 4320, 3799, 4021],
-    [4333, 4313, 4334, 3802, 4017],
-    [4324, 4335, 4336, 3805, 4025],
-    [4337, 4338, 4339, 4340, 4326, 3451, 4000],
-    [4341, 4342, 4343, 3461, 4344, 4328, 4004],
-    [4345, 4346, 4347, 4330, 4348, 3468, 4010],
-    [4349, 4350, 4351, 4332, 3479, 4018, 4352],
-    [4353, 4354, 4355, 4334, 4356, 3488, 4014],
-    [4357, 4358, 4359, 4360, 4336, 3501, 4022],
-    [4361, 4340, 4362, 3808, 4030],
-    [4363, 4344, 4364, 3814, 4031],
-    [4365, 4366, 4348, 3820, 4035],
-    [4367, 4368, 4356, 3826, 4036],
-    [4352, 4369, 4370, 3823, 4040],
-    [4371, 4360, 4372, 3832, 4041],
-    [4373, 4374, 4375, 4362, 4364, 3507, 4027],
-    [4376, 4377, 4378, 4368, 3521, 4032, 4365],
-    [4379, 4380, 4381, 4372, 4370, 3528, 4037],
-    [4382, 4383, 4384, 3811, 4060],
-    [4385, 4386, 4387, 4383, 4388, 3450, 4054],
-    [4389, 4390, 4391, 4384, 4392, 3467, 4057],
-    [4393, 4394, 4395, 3817, 4073],
-    [4396, 4397, 4398, 4395, 4399, 3460, 4067],
-    [4400, 4401, 4402, 4394, 4403, 3478, 4070],
-    [4404, 4405, 4406, 3829, 4086],
-    [4407, 4408, 4409, 4406, 4410, 3490, 4080],
-    [4411, 4412, 4413, 4405, 4414, 3500, 4083],
-    [4415, 4416, 4388, 3835, 4090],
-    [4417, 4418, 4392, 3841, 4094],
-    [4419, 4420, 4399, 3838, 4098],
-    [4421, 4403, 4422, 3844, 4102],
-    [4423, 4424, 4410, 3847, 4106],
-    [4425, 4426, 4414, 3850, 4110],
-    [4427, 4428, 4429, 4430, 3558, 4416, 4087],
-    [4431, 4432, 4433, 4434, 3577, 4091, 4417],
-    [4435, 4436, 4437, 4420, 4438, 3568, 4095],
-    [4439, 4440, 4441, 4422, 4442, 3585, 4099],
-    [4443, 4444, 4445, 4446, 3599, 4103, 4423],
-    [4447, 4448, 4449, 4450, 3609, 4425, 4107],
-    [4451, 4452, 4453, 4454, 4455, 3506, 4132],
-    [4456, 4457, 4454, 3853, 4138],
-    [4458, 4459, 4455, 3856, 4142],
-    [4460, 4461, 4462, 4463, 4464, 3519, 4149],
-    [4465, 4464, 4466, 3858, 4155],
-    [4467, 4468, 4463, 3862, 4159],
-    [4469, 4470, 4471, 4472, 4473, 3526, 4166],
-    [4474, 4475, 4473, 3865, 4172],
-    [4476, 4477, 4472, 3868, 4176],
-    [4478, 4479, 4480, 4457, 3559, 4481, 4135],
-    [4482, 4430, 4483, 3871, 4114],
-    [4484, 4485, 4486, 4459, 3569, 4139, 4487],
-    [4488, 4434, 4489, 3874, 4115],
-    [4490, 4438, 4491, 3877, 4119],
-    [4492, 4493, 4494, 4495, 4465, 3575, 4152],
-    [4496, 4442, 4497, 3879, 4120],
-    [4498, 4499, 4500, 4501, 4468, 3598, 4156],
-    [4502, 4503, 4504, 4475, 3587, 4169, 4505],
-    [4506, 4446, 4507, 3883, 4124],
-    [4508, 4509, 4510, 4477, 3608, 4511, 4173],
-    [4512, 4450, 4513, 3886, 4125],
-    [4514, 4515, 4516, 4483, 4489, 3630, 4111],
-    [4517, 4518, 4519, 4491, 4496, 3639, 4116],
-    [4520, 4521, 4522, 4513, 4507, 3654, 4121],
-    [4481, 4523, 4524, 3889, 4180],
-    [4487, 4525, 4526, 3892, 4185],
-    [4527, 4528, 4495, 3895, 4191],
-    [4529, 4501, 4530, 3901, 4196],
-    [4505, 4531, 4532, 3898, 4200],
-    [4533, 4511, 4534, 3904, 4205],
-    [4535, 4536, 4537, 4538, 4524, 3677, 4177],
-    [4539, 4540, 4541, 4542, 4526, 3684, 4182],
-    [4543, 4544, 4545, 4546, 4528, 3692, 4188],
-    [4547, 4548, 4549, 4550, 4530, 3700, 4193],
-    [4551, 4552, 4553, 4554, 4532, 3708, 4197],
-    [4555, 4556, 4557, 4558, 4534, 3716, 4202],
-    [4559, 4538, 4542, 3925, 4207],
-    [4560, 4546, 4550, 3928, 4208],
-    [4561, 4558, 4554, 3931, 4209],
-    [4562, 4563, 4564, 4565, 4566, 3632, 4217],
-    [4567, 4568, 4565, 3907, 4223],
-    [4569, 4570, 4566, 3910, 4227],
-    [4571, 4572, 4573, 4574, 3641, 4234, 4575],
-    [4576, 4574, 4577, 3913, 4240],
-    [4575, 4578, 4579, 3916, 4244],
-    [4580, 4581, 4582, 4583, 4584, 3655, 4253],
-    [4585, 4586, 4584, 3919, 4259],
-    [4587, 4588, 4583, 3922, 4263],
-    [4589, 4590, 4591, 4568, 4592, 3676, 4220],
-    [4593, 4594, 4595, 4596, 3693, 4224, 4569],
-    [4597, 4598, 4599, 4600, 4577, 3682, 4237],
-    [4601, 4602, 4603, 4604, 4579, 3707, 4241],
-    [4605, 4606, 4607, 3701, 4608, 4586, 4256],
-    [4609, 4610, 4611, 4588, 4612, 3717, 4260],
-    [4613, 4614, 4592, 3934, 4267],
-    [4615, 4616, 4600, 3937, 4275],
-    [4617, 4596, 4618, 3940, 4271],
-    [4619, 4620, 4604, 3943, 4279],
-    [4621, 4608, 4622, 3946, 4283],
-    [4623, 4624, 4612, 3949, 4287],
-    [4625, 4626, 4627, 4628, 3752, 4613, 4264],
-    [4629, 4630, 4631, 4616, 3751, 4632, 4272],
-    [4633, 4634, 4635, 4636, 4618, 3761, 4268],
-    [4637, 4638, 4639, 4620, 4640, 3771, 4276],
-    [4641, 4642, 4643, 4644, 4622, 3762, 4280],
-    [4645, 4646, 4647, 4648, 4624, 3772, 4284],
-    [4649, 4628, 4636, 3952, 4288],
-    [4650, 4632, 4640, 3955, 4289],
-    [4651, 4648, 4644, 3958, 4290],
-    [4652, 4653, 4654, 3960],
-    [4655, 4656, 4657, 4652, 3780],
-    [4658, 4659, 4660, 4654, 3783],
-    [4661, 4662, 4663, 4664, 4657, 3404, 4658],
-    [4665, 4666, 4667, 4653, 3786],
-    [4668, 4669, 4670, 4671, 4656, 4665, 3414],
-    [4672, 4673, 4674, 4675, 4666, 4659, 3424],
-    [4676, 4677, 4678, 4679, 4680, 4681, 4343, 4339, 4297, 4373, 4299, 3961],
-    [4682, 4683, 4684, 4685, 4686, 4687, 4312, 4378, 4308, 4346, 4353, 3974],
-    [4688, 4689, 4690, 4691, 4692, 4693, 4323, 4351, 4359, 4381, 4317, 3987],
-    [4694, 4695, 4696, 4008],
-    [4697, 4698, 4699, 4696, 3789],
-    [4700, 4701, 4702, 4695, 3792],
-    [4703, 4704, 4705, 4706, 4702, 3403, 4698],
-    [4707, 4708, 4709, 4009],
-    [4710, 4711, 4712, 4708, 3795],
-    [4713, 4714, 4715, 4707, 3798],
-    [4716, 4717, 4718, 4719, 4715, 4710, 3413],
-    [4720, 4721, 4722, 4026],
-    [4723, 4724, 4725, 4721, 3801],
-    [4726, 4727, 4728, 4722, 3804],
-    [4729, 4730, 4731, 4732, 4724, 4727, 3423],
-    [4733, 4734, 4735, 4694, 3810],
-    [4736, 4737, 4738, 4739, 4735, 3448, 4697],
-    [4740, 4741, 4742, 4743, 4734, 4701, 3469],
-    [4744, 4745, 4746, 4709, 3816],
-    [4747, 4748, 4749, 4750, 4711, 4745, 3459],
-    [4751, 4752, 4753, 4754, 4713, 3477, 4744],
-    [4755, 4756, 4757, 4720, 3828],
-    [4758, 4759, 4760, 4761, 4756, 4723, 3491],
-    [4762, 4763, 4764, 4765, 4757, 3499, 4726],
-    [4766, 4767, 4768, 4042],
-    [4769, 4770, 4771, 4766, 3807],
-    [4772, 4773, 4774, 4768, 3834],
-    [4775, 4776, 4777, 4778, 4771, 3449, 4772],
-    [4779, 4780, 4781, 4043],
-    [4782, 4783, 4784, 4780, 3813],
-    [4785, 4786, 4787, 4781, 3837],
-    [4788, 4789, 4790, 4791, 4783, 4786, 3458],
-    [4792, 4793, 4794, 4044],
-    [4795, 4796, 4797, 4793, 3819],
-    [4798, 4799, 4800, 4792, 3840],
-    [4801, 4802, 4803, 4804, 4799, 4796, 3466],
-    [4805, 4806, 4807, 4045],
-    [4808, 4809, 4810, 4807, 3822],
-    [4811, 4812, 4813, 4806, 3843],
-    [4814, 4815, 4816, 4817, 4812, 4808, 3476],
-    [4818, 4819, 4820, 4046],
-    [4821, 4822, 4823, 4818, 3825],
-    [4824, 4825, 4826, 4820, 3846],
-    [4827, 4828, 4829, 4830, 4823, 4825, 3489],
-    [4831, 4832, 4833, 4047],
-    [4834, 4835, 4836, 4831, 3831],
-    [4837, 4838, 4839, 4833, 3849],
-    [4840, 4841, 4842, 4843, 4836, 3498, 4837],
-    [4844, 4845, 4846, 4767, 3852],
-    [4847, 4848, 4849, 4850, 4770, 4844, 3509],
-    [4851, 4852, 4853, 4779, 3855],
-    [4854, 4855, 4856, 4857, 4853, 4782, 3508],
-    [4858, 4859, 4860, 4861, 4862, 4863, 4429, 4433, 4387, 4390, 4514, 4048],
-    [4864, 4865, 4866, 4867, 4868, 4869, 4396, 4435, 4400, 4517, 4439, 4061],
-    [4870, 4871, 4872, 4794, 3859],
-    [4873, 4874, 4875, 4876, 4795, 4871, 3518],
-    [4877, 4878, 4879, 4819, 3861],
-    [4880, 4881, 4882, 4883, 4879, 4821, 3520],
-    [4884, 4885, 4886, 4805, 3864],
-    [4887, 4888, 4889, 4890, 4886, 4809, 3527],
-    [4891, 4892, 4893, 4832, 3867],
-    [4894, 4895, 4896, 4897, 4835, 4891, 3529],
-    [4898, 4899, 4900, 4901, 4902, 4903, 4449, 4445, 4413, 4409, 4520, 4074],
-    [4904, 4905, 4906, 4907, 4845, 4773, 3557],
-    [4908, 4909, 4910, 4911, 4851, 3567, 4785],
-    [4912, 4913, 4914, 4915, 4798, 4870, 3574],
-    [4916, 4917, 4918, 4919, 4884, 4811, 3586],
-    [4920, 4921, 4922, 4923, 4877, 4824, 3596],
-    [4924, 4925, 4926, 4927, 4892, 4838, 3606],
-    [4928, 4929, 4930, 4931, 4932, 4933, 4480, 4486, 4537, 4541, 4451, 4126],
-    [4934, 4935, 4936, 4937, 4938, 4939, 4547, 4543, 4498, 4492, 4460, 4143],
-    [4940, 4941, 4942, 4943, 4944, 4945, 4510, 4504, 4557, 4552, 4469, 4160],
-    [4946, 4947, 4948, 4181],
-    [4949, 4950, 4951, 4947, 3870],
-    [4952, 4953, 4954, 4948, 3888],
-    [4955, 4956, 4957, 4958, 4950, 4953, 3556],
-    [4959, 4960, 4961, 4186],
-    [4962, 4963, 4964, 4960, 3876],
-    [4965, 4966, 4967, 4961, 3891],
-    [4968, 4969, 4970, 4971, 4962, 4965, 3566],
-    [4972, 4973, 4974, 4187],
-    [4975, 4976, 4977, 4972, 3873],
-    [4978, 4979, 4980, 4973, 3894],
-    [4981, 4982, 4983, 4984, 4975, 4978, 3576],
-    [4985, 4986, 4987, 4192],
-    [4988, 4989, 4990, 4987, 3880],
-    [4991, 4992, 4993, 4986, 3897],
-    [4994, 4995, 4996, 4997, 4991, 4989, 3584],
-    [4998, 4999, 5000, 4201],
-    [5001, 5002, 5003, 4998, 3882],
-    [5004, 5005, 5006, 5000, 3900],
-    [5007, 5008, 5009, 5010, 5001, 3597, 5004],
-    [5011, 5012, 5013, 4206],
-    [5014, 5015, 5016, 5012, 3885],
-    [5017, 5018, 5019, 5013, 3903],
-    [5020, 5021, 5022, 5023, 5015, 5018, 3607],
-    [5024, 5025, 5026, 4946, 3906],
-    [5027, 5028, 5029, 5030, 5025, 4949, 3633],
-    [5031, 5032, 5033, 4974, 3909],
-    [5034, 5035, 5036, 5037, 4977, 5032, 3631],
-    [5038, 5039, 5040, 4959, 3912],
-    [5041, 5042, 5043, 5044, 4964, 5038, 3640],
-    [5045, 5046, 5047, 4985, 3915],
-    [5048, 5049, 5050, 5051, 5045, 4988, 3638],
-    [5052, 5053, 5054, 4999, 3918],
-    [5055, 5056, 5057, 5058, 5002, 5052, 3656],
-    [5059, 5060, 5061, 5011, 3921],
-    [5062, 5063, 5064, 5065, 5060, 5014, 3657],
-    [5066, 5067, 5068, 5069, 5026, 3675, 4952],
-    [5070, 5071, 5072, 5073, 5040, 4966, 3683],
-    [5074, 5075, 5076, 5077, 4979, 5031, 3690],
-    [5078, 5079, 5080, 5081, 5046, 4992, 3706],
-    [5082, 5083, 5084, 5085, 5053, 5005, 3699],
-    [5086, 5087, 5088, 5089, 5061, 3715, 5017],
-    [5090, 5091, 5092, 4210],
-    [5093, 5094, 5095, 5090, 3924],
-    [5096, 5097, 5098, 5092, 3933],
-    [5099, 5100, 5101, 5102, 5095, 3674, 5096],
-    [5103, 5104, 5105, 5091, 3936],
-    [5106, 5107, 5108, 5109, 5094, 5103, 3685],
-    [5110, 5111, 5112, 5113, 5114, 5115, 4627, 4595, 4591, 4564, 4633, 4211],
-    [5116, 5117, 5118, 5119, 5120, 5121, 4631, 4573, 4639, 4602, 4597, 4228],
-    [5122, 5123, 5124, 4245],
-    [5125, 5126, 5127, 5124, 3927],
-    [5128, 5129, 5130, 5122, 3939],
-    [5131, 5132, 5133, 5134, 5128, 3691, 5125],
-    [5135, 5136, 5137, 5123, 3945],
-    [5138, 5139, 5140, 5141, 5136, 5126, 3698],
-    [5142, 5143, 5144, 4246],
-    [5145, 5146, 5147, 5143, 3930],
-    [5148, 5149, 5150, 5142, 3942],
-    [5151, 5152, 5153, 5154, 5149, 5146, 3709],
-    [5155, 5156, 5157, 5144, 3948],
-    [5158, 5159, 5160, 5161, 5147, 3714, 5156],
-    [5162, 5163, 5164, 5165, 5166, 5167, 4607, 4647, 4611, 4641, 4580, 4247],
-    [5168, 5169, 5170, 5171, 5104, 5097, 3749],
-    [5172, 5173, 5174, 5175, 5129, 5135, 3763],
-    [5176, 5177, 5178, 5179, 5150, 3769, 5155],
-    [5180, 5181, 5182, 4291],
-    [5183, 5184, 5185, 5181, 3951],
-    [5186, 5187, 5188, 5182, 3954],
-    [5189, 5190, 5191, 5192, 5184, 5187, 3750],
-    [5193, 5194, 5195, 5180, 3957],
-    [5196, 5197, 5198, 5199, 5194, 5183, 3764],
-    [5200, 5201, 5202, 5203, 5195, 3770, 5186],
-    [5204, 5205, 4655, 4292],
-    [5206, 5207, 4663, 5204, 4296],
-    [5208, 5209, 5205, 4300, 4668],
-    [5210, 5211, 4660, 4303],
-    [5212, 5213, 4664, 4307, 5211],
-    [5214, 5215, 4667, 4314],
-    [5216, 5217, 4671, 5215, 4319],
-    [5218, 5219, 4675, 4311, 5210],
-    [5220, 5221, 4674, 5214, 4321],
-    [5222, 5223, 4699, 4325],
-    [5224, 5225, 4706, 4295, 5223],
-    [5226, 5227, 4700, 4329],
-    [5228, 5229, 4705, 5227, 4306],
-    [5230, 5231, 4712, 4327],
-    [5232, 5233, 4719, 5231, 4301],
-    [5234, 5235, 4714, 4331],
-    [5236, 5237, 5235, 4717, 4318],
-    [5238, 5239, 4725, 4333],
-    [5240, 5241, 4731, 5238, 4310],
-    [5242, 5243, 4728, 4335],
-    [5244, 5245, 4732, 5243, 4322],
-    [5246, 5247, 4739, 4338, 5222],
-    [5248, 5249, 4750, 5230, 4342],
-    [5250, 5251, 5226, 4742, 4347],
-    [5252, 5253, 4754, 5234, 4349],
-    [5254, 5255, 4761, 5239, 4355],
-    [5256, 5257, 4765, 4358, 5242],
-    [5258, 5259, 4769, 4361],
-    [5260, 5261, 4777, 5258, 4337],
-    [5262, 5263, 4733, 4382],
-    [5264, 5265, 4738, 5263, 4385],
-    [5266, 5267, 4784, 4363],
-    [5268, 5269, 4791, 5266, 4341],
-    [5270, 5271, 5262, 4741, 4391],
-    [5272, 5273, 4746, 4393],
-    [5274, 5275, 4749, 4398, 5273],
-    [5276, 5277, 4797, 4366],
-    [5278, 5279, 4804, 5277, 4345],
-    [5280, 5281, 4753, 4402, 5272],
-    [5282, 5283, 4810, 4369],
-    [5284, 5285, 4817, 4350, 5282],
-    [5286, 5287, 4822, 4367],
-    [5288, 5289, 5287, 4828, 4354],
-    [5290, 5291, 4755, 4404],
-    [5292, 5293, 5290, 4407, 4758],
-    [5294, 5295, 4834, 4371],
-    [5296, 5297, 4842, 5295, 4357],
-    [5298, 5299, 4764, 5291, 4411],
-    [5300, 5301, 5259, 4374, 4847],
-    [5302, 5303, 4857, 5267, 4375],
-    [5304, 5305, 4876, 4377, 5276],
-    [5306, 5307, 4883, 5286, 4376],
-    [5308, 5309, 4890, 5283, 4380],
-    [5310, 5311, 5294, 4379, 4894],
-    [5312, 5313, 4774, 4415],
-    [5314, 5315, 4778, 4386, 5313],
-    [5316, 5317, 4787, 4419],
-    [5318, 5319, 4790, 4397, 5317],
-    [5320, 5321, 4800, 4418],
-    [5322, 5323, 4803, 5321, 4389],
-    [5324, 5325, 4813, 4421],
-    [5326, 5327, 4816, 5325, 4401],
-    [5328, 5329, 4826, 4424],
-    [5330, 5331, 4830, 5329, 4408],
-    [5332, 5333, 4839, 4426],
-    [5334, 5335, 4843, 4412, 5333],
-    [5336, 5337, 4846, 4456],
-    [5338, 5339, 4850, 5337, 4453],
-    [5340, 5341, 4907, 4428, 5312],
-    [5342, 5343, 4852, 4458],
-    [5344, 5345, 5343, 4855, 4452],
-    [5346, 5347, 4910, 4437, 5316],
-    [5348, 5349, 4915, 4432, 5320],
-    [5350, 5351, 4872, 4466],
-    [5352, 5353, 4875, 4461, 5351],
-    [5354, 5355, 4918, 4441, 5324],
-    [5356, 5357, 4878, 4467],
-    [5358, 5359, 4882, 4462, 5356],
-    [5360, 5361, 4885, 4474],
-    [5362, 5363, 5361, 4888, 4470],
-    [5364, 5365, 4923, 4444, 5328],
-    [5366, 5367, 4893, 4476],
-    [5368, 5369, 4897, 5367, 4471],
-    [5370, 5371, 4927, 4448, 5332],
-    [5372, 5373, 4906, 5336, 4478],
-    [5374, 5375, 4911, 5342, 4484],
-    [5376, 5377, 4914, 4493, 5350],
-    [5378, 5379, 4922, 5357, 4499],
-    [5380, 5381, 4919, 5360, 4502],
-    [5382, 5383, 4926, 5366, 4508],
-    [5384, 5385, 4951, 4482],
-    [5386, 5387, 4957, 5384, 4427],
-    [5388, 5389, 4976, 4488],
-    [5390, 5391, 4984, 5388, 4431],
-    [5392, 5393, 4963, 4490],
-    [5394, 5395, 4970, 5393, 4436],
-    [5396, 5397, 4990, 4497],
-    [5398, 5399, 4996, 4440, 5397],
-    [5400, 5401, 5003, 4506],
-    [5402, 5403, 5010, 5400, 4443],
-    [5404, 5405, 5016, 4512],
-    [5406, 5407, 5022, 5404, 4447],
-    [5408, 5409, 4954, 4523],
-    [5410, 5411, 4958, 4479, 5408],
-    [5412, 5413, 5030, 5385, 4516],
-    [5414, 5415, 4967, 4525],
-    [5416, 5417, 4971, 4485, 5414],
-    [5418, 5419, 5389, 5035, 4515],
-    [5420, 5421, 5043, 4519, 5392],
-    [5422, 5423, 4980, 4527],
-    [5424, 5425, 4983, 4494, 5422],
-    [5426, 5427, 5050, 4518, 5396],
-    [5428, 5429, 4993, 4531],
-    [5430, 5431, 4997, 4503, 5428],
-    [5432, 5433, 5006, 4529],
-    [5434, 5435, 5009, 4500, 5432],
-    [5436, 5437, 5056, 5401, 4521],
-    [5438, 5439, 5019, 4533],
-    [5440, 5441, 5023, 4509, 5438],
-    [5442, 5443, 5065, 5405, 4522],
-    [5444, 5445, 5069, 4536, 5409],
-    [5446, 5447, 5073, 5415, 4540],
-    [5448, 5449, 5076, 5423, 4544],
-    [5450, 5451, 5081, 5429, 4551],
-    [5452, 5453, 5084, 4549, 5433],
-    [5454, 5455, 5089, 4556, 5439],
-    [5456, 5457, 5024, 4567],
-    [5458, 5459, 5456, 4562, 5027],
-    [5460, 5461, 5033, 4570],
-    [5462, 5463, 5037, 5461, 4563],
-    [5464, 5465, 5039, 4576],
-    [5466, 5467, 5044, 5464, 4571],
-    [5468, 5469, 5047, 4578],
-    [5470, 5471, 5051, 4572, 5468],
-    [5472, 5473, 5054, 4585],
-    [5474, 5475, 5058, 5473, 4582],
-    [5476, 5477, 5059, 4587],
-    [5478, 5479, 5477, 4581, 5062],
-    [5480, 5481, 5093, 4559],
-    [5482, 5483, 5101, 5481, 4535],
-    [5484, 5485, 5068, 5457, 4589],
-    [5486, 5487, 5480, 4539, 5106],
-    [5488, 5489, 5465, 5071, 4598],
-    [5490, 5491, 5077, 4594, 5460],
-    [5492, 5493, 5127, 4560],
-    [5494, 5495, 5133, 4545, 5492],
-    [5496, 5497, 5080, 5469, 4601],
-    [5498, 5499, 5140, 4548, 5493],
-    [5500, 5501, 5145, 4561],
-    [5502, 5503, 5500, 5153, 4553],
-    [5504, 5505, 5085, 5472, 4606],
-    [5506, 5507, 5160, 5501, 4555],
-    [5508, 5509, 5088, 5476, 4609],
-    [5510, 5511, 5098, 4614],
-    [5512, 5513, 5102, 4590, 5510],
-    [5514, 5515, 5105, 4615],
-    [5516, 5517, 5109, 5515, 4599],
-    [5518, 5519, 5130, 4617],
-    [5520, 5521, 5134, 5518, 4593],
-    [5522, 5523, 5148, 4619],
-    [5524, 5525, 5522, 5152, 4603],
-    [5526, 5527, 5137, 4621],
-    [5528, 5529, 5141, 5526, 4605],
-    [5530, 5531, 5157, 4623],
-    [5532, 5533, 5161, 4610, 5531],
-    [5534, 5535, 5171, 5511, 4626],
-    [5536, 5537, 5170, 5514, 4629],
-    [5538, 5539, 5173, 5519, 4634],
-    [5540, 5541, 5175, 5527, 4643],
-    [5542, 5543, 5178, 5523, 4637],
-    [5544, 5545, 5179, 4645, 5530],
-    [5546, 5547, 5185, 4649],
-    [5548, 5549, 5191, 5546, 4625],
-    [5550, 5551, 5188, 4650],
-    [5552, 5553, 5192, 4630, 5550],
-    [5554, 5555, 5199, 5547, 4635],
-    [5556, 5557, 5203, 4638, 5551],
-    [5558, 5559, 5193, 4651],
-    [5560, 5561, 5559, 4642, 5196],
-    [5562, 5563, 5202, 5558, 4646],
-    [5564, 5565, 5566, 5567, 5568, 5569, 5570, 5571, 5572, 4669, 4661, 4672],
-    [5573, 5572, 5574, 5575, 4678, 5206, 5208],
-    [5576, 5577, 5578, 4704, 4662],
-    [5579, 5577, 5207, 5225],
-    [5580, 5578, 5229, 5213],
-    [5581, 5582, 5583, 4718, 4670],
-    [5584, 5582, 5209, 5233],
-    [5585, 5583, 5237, 5217],
-    [5586, 5587, 5588, 5570, 4687, 5219, 5212],
-    [5589, 5571, 5590, 5591, 4691, 5220, 5216],
-    [5592, 5593, 5594, 4730, 4673],
-    [5595, 5594, 5241, 5218],
-    [5596, 5593, 5245, 5221],
-    [5597, 5598, 5599, 5600, 4681, 5246, 5224],
-    [5601, 5602, 5603, 5604, 4680, 5249, 5232],
-    [5605, 5606, 5607, 5608, 4684, 5250, 5228],
-    [5609, 5610, 5611, 5612, 4690, 5253, 5236],
-    [5613, 5614, 5615, 5616, 4686, 5240, 5254],
-    [5617, 5618, 5619, 5620, 4693, 5244, 5256],
-    [5621, 5622, 5623, 5624, 5625, 5626, 5600, 5627, 5606, 4740, 4736, 4703],
-    [5628, 5629, 5630, 5631, 5632, 5633, 5634, 5603, 5610, 4752, 4716, 4748],
-    [5635, 5636, 5637, 5638, 5639, 5640, 5620, 5614, 5641, 4759, 4762, 4729],
-    [5642, 5643, 5644, 5645, 4677, 5260, 5300],
-    [5646, 5647, 5648, 4737, 4776],
-    [5649, 5647, 5261, 5247],
-    [5650, 5651, 5652, 5653, 4679, 5269, 5302],
-    [5654, 5655, 5656, 4788, 4747],
-    [5657, 5655, 5268, 5248],
-    [5658, 5659, 5660, 4802, 4743],
-    [5661, 5660, 5279, 5251],
-    [5662, 5663, 5664, 5665, 4685, 5305, 5278],
-    [5666, 5667, 5668, 4815, 4751],
-    [5669, 5667, 5252, 5284],
-    [5670, 5671, 5672, 5673, 4683, 5307, 5288],
-    [5674, 5675, 5676, 5677, 4692, 5285, 5308],
-    [5678, 5679, 5680, 4829, 4760],
-    [5681, 5680, 5289, 5255],
-    [5682, 5683, 5684, 5685, 5310, 5296, 4689],
-    [5686, 5687, 5688, 4841, 4763],
-    [5689, 5688, 5297, 5257],
-    [5690, 5648, 5265, 5315],
-    [5691, 5659, 5323, 5271],
-    [5692, 5656, 5319, 5275],
-    [5693, 5668, 5327, 5280],
-    [5694, 5679, 5293, 5331],
-    [5695, 5687, 5299, 5335],
-    [5696, 5697, 5698, 4856, 4849],
-    [5699, 5697, 5301, 5303],
-    [5700, 5627, 5701, 5702, 4860, 5270, 5264],
-    [5703, 5704, 5705, 5634, 4869, 5281, 5274],
-    [5706, 5707, 5708, 4881, 4874],
-    [5709, 5707, 5306, 5304],
-    [5710, 5711, 5712, 4889, 4896],
-    [5713, 5711, 5311, 5309],
-    [5714, 5641, 5715, 5716, 5292, 5298, 4899],
-    [5717, 5718, 5719, 5720, 5721, 5722, 5723, 5724, 5643, 4848, 4775, 4904],
-    [5725, 5726, 5727, 5728, 5729, 5730, 5731, 5652, 5732, 4909, 4854, 4789],
-    [5733, 5734, 5735, 5736, 5737, 5738, 5739, 5740, 5664, 4912, 4873, 4801],
-    [5741, 5742, 5743, 5744, 5745, 5746, 5676, 5747, 5748, 4916, 4814, 4887],
-    [5749, 5750, 5751, 5752, 5753, 5754, 5755, 5756, 5670, 4880, 4920, 4827],
-    [5757, 5758, 5759, 5760, 5761, 5762, 5763, 5764, 5683, 4895, 4840, 4924],
-    [5765, 5698, 5345, 5339],
-    [5766, 5767, 5768, 5723, 4863, 5341, 5314],
-    [5769, 5770, 5740, 5771, 4861, 5349, 5322],
-    [5772, 5773, 5774, 5731, 4868, 5347, 5318],
-    [5775, 5776, 5747, 5777, 4867, 5355, 5326],
-    [5778, 5708, 5353, 5358],
-    [5779, 5712, 5363, 5369],
-    [5780, 5781, 5755, 5782, 4902, 5365, 5330],
-    [5783, 5784, 5785, 5763, 4903, 5371, 5334],
-    [5786, 5724, 5787, 5788, 4931, 5372, 5338],
-    [5789, 5790, 5791, 4956, 4905],
-    [5792, 5791, 5387, 5340],
-    [5793, 5732, 5794, 5795, 4930, 5375, 5344],
-    [5796, 5797, 5798, 4969, 4908],
-    [5799, 5798, 5395, 5346],
-    [5800, 5801, 5802, 4982, 4913],
-    [5803, 5801, 5390, 5348],
-    [5804, 5805, 5806, 5739, 4934, 5376, 5352],
-    [5807, 5808, 5809, 4917, 4995],
-    [5810, 5809, 5399, 5354],
-    [5811, 5756, 5812, 5813, 5378, 4937, 5359],
-    [5748, 5814, 5815, 5816, 4941, 5381, 5362],
-    [5817, 5818, 5819, 4921, 5007],
-    [5820, 5818, 5402, 5364],
-    [5821, 5764, 5822, 5823, 4944, 5382, 5368],
-    [5824, 5825, 5826, 4925, 5021],
-    [5827, 5825, 5407, 5370],
-    [5828, 5790, 5373, 5410],
-    [5829, 5830, 5831, 5832, 4862, 5386, 5412],
-    [5833, 5797, 5374, 5416],
-    [5834, 5835, 5836, 5837, 4859, 5391, 5418],
-    [5838, 5839, 5840, 5841, 5394, 4866, 5421],
-    [5842, 5802, 5377, 5424],
-    [5843, 5844, 5845, 5846, 4864, 5426, 5398],
-    [5847, 5808, 5380, 5430],
-    [5848, 5819, 5379, 5435],
-    [5849, 5850, 5851, 5852, 4900, 5403, 5436],
-    [5853, 5826, 5383, 5440],
-    [5854, 5855, 5856, 5857, 4901, 5406, 5442],
-    [5858, 5859, 5860, 5861, 4933, 5411, 5444],
-    [5862, 5863, 5864, 5865, 4932, 5417, 5446],
-    [5866, 5867, 5868, 5036, 5029],
-    [5869, 5868, 5419, 5413],
-    [5870, 5871, 5872, 5042, 5049],
-    [5873, 5872, 5427, 5420],
-    [5874, 5875, 5876, 5877, 4936, 5425, 5448],
-    [5878, 5879, 5880, 5881, 4939, 5434, 5452],
-    [5882, 5883, 5884, 5885, 4943, 5431, 5450],
-    [5886, 5887, 5888, 5889, 4945, 5441, 5454],
-    [5890, 5891, 5892, 5057, 5064],
-    [5893, 5892, 5437, 5443],
-    [5894, 5895, 5896, 5897, 5898, 5899, 5861, 5830, 5900, 5028, 5066, 4955],
-    [5901, 5902, 5903, 5904, 5905, 5906, 5864, 5839, 5907, 5041, 4968, 5070],
-    [5908, 5909, 5910, 5911, 5912, 5913, 5914, 5876, 5834, 4981, 5074, 5034],
-    [5915, 5916, 5917, 5918, 5919, 5920, 5844, 5921, 5884, 5048, 4994, 5078],
-    [5922, 5923, 5924, 5925, 5926, 5927, 5881, 5928, 5850, 5008, 5055, 5083],
-    [5929, 5930, 5931, 5932, 5933, 5934, 5889, 5855, 5935, 5063, 5086, 5020],
-    [5936, 5937, 5938, 5939, 5486, 5482, 4929],
-    [5940, 5867, 5459, 5463],
-    [5941, 5871, 5466, 5470],
-    [5942, 5943, 5944, 5945, 4938, 5494, 5498],
-    [5946, 5947, 5948, 5949, 4942, 5502, 5506],
-    [5950, 5891, 5479, 5475],
-    [5951, 5952, 5953, 5100, 5067],
-    [5954, 5953, 5483, 5445],
-    [5955, 5956, 5957, 5072, 5108],
-    [5958, 5956, 5487, 5447],
-    [5959, 5960, 5961, 5075, 5131],
-    [5962, 5961, 5449, 5495],
-    [5963, 5964, 5965, 5138, 5082],
-    [5966, 5965, 5499, 5453],
-    [5967, 5968, 5969, 5079, 5154],
-    [5970, 5969, 5451, 5503],
-    [5971, 5972, 5973, 5159, 5087],
-    [5974, 5973, 5507, 5455],
-    [5975, 5952, 5485, 5513],
-    [5976, 5900, 5977, 5978, 5458, 5484, 5111],
-    [5979, 5957, 5489, 5517],
-    [5980, 5981, 5914, 5982, 5114, 5491, 5462],
-    [5907, 5983, 5984, 5985, 5117, 5467, 5488],
-    [5986, 5960, 5520, 5490],
-    [5987, 5988, 5921, 5989, 5119, 5471, 5496],
-    [5990, 5968, 5497, 5525],
-    [5991, 5964, 5528, 5504],
-    [5992, 5993, 5928, 5994, 5166, 5505, 5474],
-    [5995, 5972, 5509, 5533],
-    [5996, 5935, 5997, 5998, 5164, 5508, 5478],
-    [5999, 6000, 6001, 6002, 6003, 6004, 6005, 6006, 5937, 5107, 5099, 5168],
-    [6007, 6008, 6009, 6010, 6011, 6012, 5945, 6013, 6014, 5132, 5172, 5139],
-    [6015, 6016, 6017, 6018, 6019, 6020, 6021, 6022, 5947, 5151, 5176, 5158],
-    [6023, 6024, 6025, 6005, 5115, 5534, 5512],
-    [6026, 6006, 6027, 6028, 5120, 5536, 5516],
-    [6029, 6014, 6030, 6031, 5112, 5521, 5538],
-    [6032, 6022, 6033, 6034, 5118, 5524, 5542],
-    [6035, 6036, 6013, 6037, 5165, 5529, 5540],
-    [6038, 6039, 6040, 6021, 5167, 5544, 5532],
-    [6041, 6042, 6043, 5169, 5190],
-    [6044, 6042, 5535, 5549],
-    [6045, 6043, 5537, 5552],
-    [6046, 6047, 6048, 6049, 5113, 5548, 5554],
-    [6050, 6051, 6052, 6053, 5121, 5553, 5556],
-    [6054, 6055, 6056, 5174, 5198],
-    [6057, 6056, 5539, 5555],
-    [6058, 6055, 5561, 5541],
-    [6059, 6060, 6061, 5177, 5201],
-    [6062, 6061, 5543, 5557],
-    [6063, 6060, 5563, 5545],
-    [6064, 6065, 6066, 6067, 5163, 5562, 5560],
-    [6068, 6069, 6070, 6071, 6072, 6073, 6053, 6047, 6065, 5197, 5200, 5189],
-    [6074, 6075, 5574, 5599, 5579],
-    [6076, 6077, 5575, 5604, 5584],
-    [6078, 6079, 5608, 5588, 5580],
-    [6080, 6081, 5612, 5591, 5585],
-    [6082, 6083, 5616, 5587, 5595],
-    [6084, 6085, 5590, 5618, 5596],
-    [6086, 6087, 5644, 5598, 5649],
-    [6088, 6089, 5651, 5602, 5657],
-    [6090, 6091, 5607, 5665, 5661],
-    [6092, 6093, 5611, 5669, 5674],
-    [6094, 6095, 5673, 5615, 5681],
-    [6096, 6097, 5685, 5619, 5689],
-    [6098, 6099, 5645, 5653, 5699],
-    [6100, 6101, 5672, 5709, 5662],
-    [6102, 6103, 5684, 5677, 5713],
-    [6104, 6105, 5702, 5768, 5690],
-    [6106, 6107, 5701, 5771, 5691],
-    [6108, 6109, 5774, 5705, 5692],
-    [6110, 6111, 5777, 5693, 5703],
-    [6112, 6113, 5715, 5782, 5694],
-    [6114, 6115, 5716, 5785, 5695],
-    [6116, 6117, 5795, 5788, 5765],
-    [6118, 6119, 5832, 5767, 5792],
-    [6120, 6121, 5836, 5803, 5769],
-    [6122, 6123, 5840, 5799, 5772],
-    [6124, 6125, 5846, 5776, 5810],
-    [6126, 6127, 5813, 5806, 5778],
-    [6128, 6129, 5816, 5822, 5779],
-    [6130, 6131, 5851, 5820, 5780],
-    [6132, 6133, 5856, 5784, 5827],
-    [6134, 6135, 5787, 5859, 5828],
-    [6136, 6137, 5794, 5833, 5862],
-    [6138, 6139, 5837, 5831, 5869],
-    [6140, 6141, 5841, 5845, 5873],
-    [6142, 6143, 5805, 5875, 5842],
-    [6144, 6145, 5812, 5878, 5848],
-    [6146, 6147, 5815, 5847, 5882],
-    [6148, 6149, 5823, 5887, 5853],
-    [6150, 6151, 5852, 5857, 5893],
-    [6152, 6153, 5939, 5860, 5954],
-    [6154, 6155, 5938, 5865, 5958],
-    [6156, 6157, 5877, 5942, 5962],
-    [6158, 6159, 5944, 5880, 5966],
-    [6160, 6161, 5948, 5885, 5970],
-    [6162, 6163, 5949, 5888, 5974],
-    [6164, 6165, 5977, 5982, 5940],
-    [6166, 6167, 5984, 5941, 5987],
-    [6168, 6169, 5998, 5994, 5950],
-    [6170, 6171, 5978, 6025, 5975],
-    [6172, 6173, 5985, 6027, 5979],
-    [6174, 6175, 6030, 5986, 5980],
-    [6176, 6177, 6033, 5989, 5990],
-    [6178, 6179, 6036, 5993, 5991],
-    [6180, 6181, 5997, 6040, 5995],
-    [6182, 6183, 6048, 6024, 6044],
-    [6184, 6185, 6028, 6051, 6045],
-    [6186, 6187, 6031, 6049, 6057],
-    [6188, 6189, 6034, 6052, 6062],
-    [6190, 6191, 6067, 6037, 6058],
-    [6192, 6193, 6066, 6039, 6063],
-    [6194, 6195, 5568, 5625, 6079, 6075, 5576],
-    [6196, 6197, 5569, 5633, 6081, 6077, 5581],
-    [6198, 6199, 5567, 5638, 6083, 6085, 5592],
-    [6200, 6201, 5721, 5624, 6105, 6087, 5646],
-    [6202, 6203, 6109, 6089, 5727, 5630, 5654],
-    [6204, 6205, 5626, 5738, 5658, 6106, 6090],
-    [6206, 6207, 5632, 5744, 6111, 6093, 5666],
-    [6208, 6209, 5640, 5754, 6095, 6113, 5678],
-    [6210, 6211, 5761, 5639, 6115, 6097, 5686],
-    [6212, 6213, 5722, 5730, 6117, 6099, 5696],
-    [6214, 6215, 5753, 6127, 5736, 6101, 5706],
-    [6216, 6217, 5762, 5746, 6129, 6103, 5710],
-    [6218, 6219, 5720, 5897, 6119, 6135, 5789],
-    [6220, 6221, 5729, 5904, 6123, 6137, 5796],
-    [6222, 6223, 5912, 6143, 5734, 6121, 5800],
-    [6224, 6225, 5745, 5919, 6125, 6147, 5807],
-    [6226, 6227, 5926, 5752, 6145, 6131, 5817],
-    [6228, 6229, 5932, 5760, 6149, 6133, 5824],
-    [6230, 6231, 5899, 5913, 6139, 6165, 5866],
-    [6232, 6233, 5905, 5917, 6141, 6167, 5870],
-    [6234, 6235, 5934, 5927, 6151, 6169, 5890],
-    [6236, 6237, 6003, 5898, 6171, 6153, 5951],
-    [6238, 6239, 6004, 5906, 6173, 6155, 5955],
-    [6240, 6241, 6011, 5911, 6157, 6175, 5959],
-    [6242, 6243, 6020, 5920, 5967, 6176, 6160],
-    [6244, 6245, 6159, 6179, 6009, 5924, 5963],
-    [6246, 6247, 5933, 6019, 6163, 6181, 5971],
-    [6248, 6249, 6071, 6002, 6185, 6183, 6041],
-    [6250, 6251, 6073, 6012, 6187, 6191, 6054],
-    [6252, 6253, 6072, 6018, 6189, 6193, 6059],
-    [6254, 6255, 6256, 6257, 6258, 6259, 4676],
-    [6260, 6259, 6261, 6262, 5573],
-    [6263, 6255, 6264, 6265, 5597],
-    [6266, 6264, 6261, 6074],
-    [6267, 6257, 6268, 6269, 5601],
-    [6270, 6268, 6262, 6076],
-    [6271, 6272, 6273, 6274, 6275, 6276, 4682],
-    [6277, 6272, 6278, 6279, 5586],
-    [6280, 6276, 6281, 6282, 5605],
-    [6283, 6279, 6281, 6078],
-    [6284, 6275, 6285, 6286, 5613],
-    [6287, 6278, 6285, 6082],
-    [6288, 6289, 6290, 6291, 6292, 6293, 4688],
-    [6294, 6292, 6295, 6296, 5589],
-    [6297, 6291, 6298, 6299, 5609],
-    [6300, 6298, 6296, 6080],
-    [6301, 6289, 6302, 6303, 5617],
-    [6304, 6302, 6295, 6084],
-    [6305, 6258, 6306, 6307, 5642],
-    [6308, 6265, 6306, 6086],
-    [6309, 6256, 6310, 6311, 5650],
-    [6312, 6311, 6269, 6088],
-    [6313, 6273, 6314, 6315, 5663],
-    [6316, 6314, 6282, 6091],
-    [6317, 6274, 6318, 6319, 5671],
-    [6320, 6318, 6286, 6094],
-    [6321, 6290, 6322, 6323, 5675],
-    [6324, 6323, 6299, 6092],
-    [6325, 6293, 6326, 6327, 5682],
-    [6328, 6303, 6326, 6096],
-    [6329, 6310, 6307, 6098],
-    [6330, 6315, 6319, 6100],
-    [6331, 6322, 6327, 6102],
-    [6332, 6333, 6334, 6335, 6336, 6337, 4858],
-    [6338, 6337, 6339, 6340, 5700],
-    [6341, 6333, 6342, 6343, 5766],
-    [6344, 6343, 6339, 6104],
-    [6345, 6334, 6346, 6347, 5770],
-    [6348, 6346, 6340, 6107],
-    [6349, 6350, 6351, 6352, 4865, 6353, 6354],
-    [6355, 6351, 6356, 6357, 5704],
-    [6358, 6350, 6359, 6360, 5773],
-    [6361, 6359, 6356, 6108],
-    [6354, 6362, 6363, 6364, 5775],
-    [6365, 6357, 6363, 6110],
-    [6366, 6367, 6368, 6369, 6370, 6371, 4898],
-    [6372, 6371, 6373, 6374, 5714],
-    [6375, 6368, 6376, 6377, 5781],
-    [6378, 6376, 6374, 6112],
-    [6379, 6367, 6380, 6381, 5783],
-    [6382, 6381, 6373, 6114],
-    [6383, 6336, 6384, 6385, 5829],
-    [6386, 6342, 6384, 6118],
-    [6387, 6335, 6388, 6389, 5835],
-    [6390, 6347, 6389, 6120],
-    [6353, 6391, 6392, 6393, 5838],
-    [6394, 6360, 6392, 6122],
-    [6395, 6352, 6396, 6397, 5843],
-    [6398, 6397, 6364, 6124],
-    [6399, 6369, 6400, 6401, 5849],
-    [6402, 6377, 6401, 6130],
-    [6403, 6370, 6404, 6405, 5854],
-    [6406, 6380, 6404, 6132],
-    [6407, 6408, 6409, 6410, 6411, 6412, 4928],
-    [6413, 6411, 6414, 6415, 5786],
-    [6416, 6410, 6417, 6418, 5793],
-    [6419, 6417, 6415, 6116],
-    [6420, 6388, 6385, 6138],
-    [6421, 6396, 6393, 6140],
-    [6422, 6423, 6424, 6425, 4935, 6426, 6427],
-    [6428, 6425, 6429, 6430, 5804],
-    [6427, 6431, 6432, 6433, 5811],
-    [6434, 6430, 6433, 6126],
-    [6435, 6436, 6437, 6438, 6439, 6440, 4940],
-    [6441, 6438, 6442, 6443, 5814],
-    [6444, 6439, 6445, 6446, 5821],
-    [6447, 6442, 6446, 6128],
-    [6448, 6400, 6405, 6150],
-    [6449, 6408, 6450, 6451, 5858],
-    [6452, 6450, 6414, 6134],
-    [6453, 6409, 6454, 6455, 5863],
-    [6456, 6455, 6418, 6136],
-    [6426, 6457, 6458, 6459, 5874],
-    [6460, 6429, 6459, 6142],
-    [6461, 6424, 6462, 6463, 5879],
-    [6463, 6464, 6432, 6144],
-    [6465, 6437, 6466, 6467, 5883],
-    [6468, 6467, 6443, 6146],
-    [6469, 6436, 6470, 6471, 5886],
-    [6472, 6470, 6445, 6148],
-    [6473, 6412, 6474, 6475, 5936],
-    [6476, 6451, 6474, 6152],
-    [6477, 6454, 6475, 6154],
-    [6478, 6423, 6479, 6480, 5943],
-    [6480, 6481, 6458, 6156],
-    [6482, 6479, 6462, 6158],
-    [6483, 6440, 6484, 6485, 5946],
-    [6486, 6466, 6485, 6161],
-    [6487, 6471, 6484, 6162],
-    [6488, 6489, 6490, 6491, 6492, 6493, 5110],
-    [6494, 6493, 6495, 6496, 5976],
-    [6497, 6490, 6498, 6499, 5981],
-    [6500, 6498, 6496, 6164],
-    [6501, 6502, 6503, 6504, 6505, 6506, 5116],
-    [6507, 6504, 6508, 6509, 5983],
-    [6510, 6503, 6511, 6512, 5988],
-    [6513, 6512, 6509, 6166],
-    [6514, 6515, 6516, 6517, 6518, 6519, 5162],
-    [6520, 6517, 6521, 6522, 5992],
-    [6523, 6519, 6524, 6525, 5996],
-    [6526, 6521, 6525, 6168],
-    [6527, 6489, 6528, 6529, 6023],
-    [6530, 6529, 6495, 6170],
-    [6531, 6491, 6532, 6533, 6029],
-    [6534, 6499, 6533, 6174],
-    [6535, 6505, 6536, 6537, 6026],
-    [6538, 6508, 6537, 6172],
-    [6539, 6506, 6540, 6541, 6032],
-    [6542, 6511, 6541, 6177],
-    [6543, 6516, 6544, 6545, 6035],
-    [6546, 6545, 6522, 6178],
-    [6547, 6515, 6548, 6549, 6038],
-    [6550, 6549, 6524, 6180],
-    [6551, 6492, 6552, 6553, 6046],
-    [6554, 6528, 6552, 6182],
-    [6555, 6532, 6553, 6186],
-    [6556, 6502, 6557, 6558, 6050],
-    [6559, 6557, 6536, 6184],
-    [6560, 6558, 6540, 6188],
-    [6561, 6518, 6562, 6563, 6064],
-    [6564, 6544, 6563, 6190],
-    [6565, 6548, 6562, 6192],
-    [6566, 6567, 6568, 6569, 6570, 6260, 5564],
-    [6571, 6572, 6570, 6266, 6195],
-    [6573, 6574, 6569, 6197, 6270],
-    [6575, 6576, 6577, 6578, 6277, 5566, 6579],
-    [6578, 6580, 6581, 6283, 6194],
-    [6582, 6583, 6584, 6585, 6586, 6294, 5565],
-    [6587, 6588, 6585, 6300, 6196],
-    [6579, 6589, 6590, 6287, 6198],
-    [6591, 6586, 6592, 6304, 6199],
-    [6593, 6594, 6595, 5623, 6263, 6596, 6571],
-    [6597, 6598, 6599, 6574, 6600, 5631, 6267],
-    [6601, 6602, 6603, 6604, 6581, 6280, 5622],
-    [6605, 6606, 6607, 6588, 6608, 5629, 6297],
-    [6609, 6610, 6611, 6612, 6590, 6284, 5636],
-    [6613, 6614, 6615, 6592, 6616, 5637, 6301],
-    [6596, 6617, 6618, 6308, 6201],
-    [6619, 6620, 6600, 6203, 6312],
-    [6621, 6622, 6604, 6205, 6316],
-    [6623, 6624, 6608, 6207, 6324],
-    [6625, 6626, 6612, 6320, 6208],
-    [6627, 6616, 6628, 6328, 6211],
-    [6629, 6630, 6631, 6632, 6618, 6305, 5717],
-    [6633, 6634, 6635, 6636, 6620, 5728, 6309],
-    [6637, 6638, 6639, 6622, 6640, 5737, 6313],
-    [6641, 6642, 6643, 6644, 5743, 6624, 6321],
-    [6645, 6646, 6647, 6626, 6648, 5750, 6317],
-    [6649, 6650, 6651, 6652, 6628, 6325, 5757],
-    [6653, 6636, 6632, 6213, 6329],
-    [6654, 6655, 6656, 6657, 6658, 6338, 5621],
-    [6659, 6660, 6658, 6344, 6200],
-    [6661, 6662, 6657, 6204, 6348],
-    [6663, 6664, 6665, 6666, 6355, 6667, 5628],
-    [6668, 6667, 6669, 6361, 6202],
-    [6670, 6666, 6671, 6365, 6206],
-    [6672, 6640, 6648, 6215, 6330],
-    [6673, 6644, 6652, 6217, 6331],
-    [6674, 6675, 6676, 6677, 6678, 6372, 5635],
-    [6679, 6680, 6677, 6209, 6378],
-    [6681, 6682, 6678, 6382, 6210],
-    [6683, 6684, 6685, 6659, 6341, 5719, 6686],
-    [6687, 6688, 6689, 6662, 6690, 5735, 6345],
-    [6691, 6692, 6693, 6694, 6358, 6668, 5725],
-    [6695, 6696, 6697, 6698, 6362, 6670, 5741],
-    [6699, 6700, 6701, 6680, 5751, 6702, 6375],
-    [6703, 6704, 6705, 6682, 6706, 5759, 6379],
-    [6707, 6708, 6709, 6419, 6212],
-    [6710, 6711, 6712, 6709, 6713, 6413, 5718],
-    [6686, 6714, 6715, 6386, 6218],
-    [6716, 6717, 6718, 6708, 6719, 5726, 6416],
-    [6720, 6694, 6721, 6394, 6220],
-    [6722, 6690, 6723, 6223, 6390],
-    [6724, 6725, 6726, 6434, 6214],
-    [6727, 6728, 6729, 6428, 5733, 6730, 6724],
-    [6731, 6698, 6732, 6398, 6224],
-    [6733, 6734, 6735, 6725, 6431, 6736, 5749],
-    [6737, 6738, 6739, 6447, 6216],
-    [6740, 6741, 6742, 6738, 6743, 5742, 6441],
-    [6744, 6702, 6745, 6227, 6402],
-    [6746, 6747, 6748, 6739, 6749, 6444, 5758],
-    [6706, 6750, 6751, 6406, 6229],
-    [6752, 6753, 6713, 6452, 6219],
-    [6754, 6755, 6719, 6221, 6456],
-    [6730, 6756, 6757, 6460, 6222],
-    [6736, 6758, 6759, 6464, 6226],
-    [6760, 6761, 6743, 6225, 6468],
-    [6762, 6763, 6749, 6472, 6228],
-    [6764, 6765, 6766, 6767, 6715, 6383, 5895],
-    [6768, 6769, 6770, 6771, 6723, 5909, 6387],
-    [6772, 6773, 6774, 6775, 6391, 6720, 5901],
-    [6776, 6777, 6778, 6395, 5915, 6779, 6731],
-    [6780, 6781, 6782, 6783, 6745, 5923, 6399],
-    [6784, 6785, 6786, 6787, 6751, 6403, 5930],
-    [6788, 6789, 6790, 6791, 6752, 5896, 6449],
-    [6792, 6771, 6767, 6420, 6230],
-    [6793, 6794, 6795, 6796, 5903, 6755, 6453],
-    [6779, 6775, 6797, 6421, 6232],
-    [6798, 6799, 6800, 6756, 6457, 6801, 5908],
-    [6802, 6803, 6804, 6805, 5918, 6761, 6465],
-    [6806, 6807, 6808, 6461, 6758, 6809, 5922],
-    [6810, 6783, 6787, 6448, 6234],
-    [6811, 6812, 6813, 6814, 6469, 5931, 6762],
-    [6815, 6791, 6816, 6476, 6237],
-    [6817, 6796, 6818, 6239, 6477],
-    [6801, 6819, 6820, 6481, 6240],
-    [6821, 6809, 6822, 6482, 6244],
-    [6823, 6805, 6824, 6243, 6486],
-    [6814, 6825, 6826, 6487, 6246],
-    [6827, 6828, 6829, 6818, 6816, 6473, 5999],
-    [6830, 6831, 6832, 6231, 6500],
-    [6833, 6834, 6835, 6832, 6836, 6494, 5894],
-    [6837, 6838, 6839, 6831, 5910, 6840, 6497],
-    [6841, 6842, 6843, 6233, 6513],
-    [6844, 6845, 6846, 6847, 6843, 5902, 6507],
-    [6848, 6849, 6850, 6851, 5916, 6842, 6510],
-    [6852, 6853, 6854, 6478, 6819, 6821, 6007],
-    [6855, 6856, 6857, 6824, 6826, 6483, 6016],
-    [6858, 6859, 6860, 6235, 6526],
-    [6861, 6862, 6863, 6859, 6864, 5925, 6520],
-    [6865, 6866, 6867, 6860, 6868, 6523, 5929],
-    [6869, 6870, 6836, 6530, 6236],
-    [6871, 6847, 6872, 6538, 6238],
-    [6873, 6840, 6874, 6241, 6534],
-    [6875, 6851, 6876, 6242, 6542],
-    [6877, 6878, 6864, 6245, 6546],
-    [6879, 6880, 6868, 6550, 6247],
-    [6881, 6882, 6883, 6884, 6870, 6001, 6527],
-    [6885, 6886, 6887, 6872, 6888, 6535, 6000],
-    [6889, 6890, 6891, 6892, 6874, 6008, 6531],
-    [6893, 6894, 6895, 6876, 6896, 6539, 6015],
-    [6897, 6898, 6899, 6900, 6878, 6010, 6543],
-    [6901, 6902, 6903, 6017, 6547, 6904, 6879],
-    [6905, 6906, 6884, 6554, 6249],
-    [6907, 6908, 6888, 6559, 6248],
-    [6909, 6892, 6910, 6555, 6250],
-    [6911, 6912, 6896, 6560, 6252],
-    [6913, 6900, 6914, 6251, 6564],
-    [6904, 6915, 6916, 6565, 6253],
-    [6917, 6918, 6919, 6910, 6906, 6551, 6069],
-    [6920, 6921, 6922, 6911, 6556, 6070, 6907],
-    [6923, 6924, 6925, 6914, 6916, 6561, 6068],
-    [6926, 6927, 6580, 6572],
-    [6928, 6929, 6568, 6576, 6927],
-    [6930, 6931, 6587, 6573],
-    [6932, 6933, 6931, 6567, 6582],
-    [6934, 6935, 6589, 6591],
-    [6936, 6937, 6584, 6577, 6935],
-    [6938, 6939, 6940, 6941, 6942, 6943, 6595, 6635, 6599, 6629, 6566, 6254],
-    [6944, 6945, 6603, 6594, 6926],
-    [6946, 6947, 6930, 6607, 6597],
-    [6948, 6949, 6950, 6951, 6952, 6953, 6639, 6646, 6575, 6271, 6610, 6602],
-    [6954, 6955, 6956, 6957, 6958, 6959, 6643, 6614, 6606, 6583, 6288, 6649],
-    [6960, 6961, 6611, 6615, 6934],
-    [6962, 6963, 6660, 6617],
-    [6964, 6965, 6656, 6593, 6962],
-    [6966, 6967, 6661, 6621],
-    [6968, 6969, 6967, 6654, 6601],
-    [6970, 6971, 6669, 6619],
-    [6972, 6973, 6665, 6598, 6971],
-    [6974, 6975, 6671, 6623],
-    [6976, 6977, 6664, 6975, 6605],
-    [6978, 6979, 6625, 6679],
-    [6980, 6981, 6979, 6675, 6609],
-    [6982, 6983, 6681, 6627],
-    [6984, 6985, 6676, 6983, 6613],
-    [6986, 6987, 6631, 6684, 6963],
-    [6988, 6989, 6693, 6634, 6970],
-    [6990, 6991, 6688, 6638, 6966],
-    [6992, 6993, 6697, 6642, 6974],
-    [6994, 6995, 6647, 6978, 6699],
-    [6996, 6997, 6651, 6982, 6703],
-    [6998, 6999, 6707, 6653],
-    [7000, 7001, 6999, 6630, 6710],
-    [7002, 7003, 6998, 6718, 6633],
-    [7004, 7005, 7006, 7007, 7008, 7009, 6689, 6769, 6683, 6332, 6765, 6655],
-    [7010, 7011, 7012, 7013, 7014, 7015, 6776, 6349, 6772, 6695, 6691, 6663],
-    [7016, 7017, 6726, 6672],
-    [7018, 7019, 6729, 7016, 6637],
-    [7020, 7021, 6734, 7017, 6645],
-    [7022, 7023, 6737, 6673],
-    [7024, 7025, 6742, 7022, 6641],
-    [7026, 7027, 7023, 6650, 6746],
-    [7028, 7029, 7030, 7031, 7032, 7033, 6701, 6704, 6782, 6785, 6366, 6674],
-    [7034, 7035, 6714, 6753],
-    [7036, 7037, 6712, 6685, 7035],
-    [7038, 7039, 6721, 6754],
-    [7040, 7041, 6692, 7039, 6716],
-    [7042, 7043, 6757, 6722],
-    [7044, 7045, 6728, 7042, 6687],
-    [7046, 7047, 6732, 6760],
-    [7048, 7049, 6696, 7047, 6740],
-    [7050, 7051, 6759, 6744],
-    [7052, 7053, 6735, 6700, 7050],
-    [7054, 7055, 6763, 6750],
-    [7056, 7057, 6748, 6705, 7054],
-    [7058, 7059, 7060, 7061, 7062, 7063, 6795, 6789, 6717, 6711, 6407, 6827],
-    [7064, 7065, 7066, 7067, 7068, 7069, 6727, 6422, 6798, 6733, 6852, 6806],
-    [7070, 7071, 7072, 7073, 7074, 7075, 6804, 6741, 6811, 6435, 6747, 6856],
-    [7076, 7077, 6766, 6790, 7034],
-    [7078, 7079, 6774, 6794, 7038],
-    [7080, 7081, 6799, 7043, 6768],
-    [7082, 7083, 6778, 7046, 6802],
-    [7084, 7085, 6807, 7051, 6780],
-    [7086, 7087, 6786, 6813, 7055],
-    [7088, 7089, 6792, 6830],
-    [7090, 7091, 7089, 6834, 6764],
-    [7092, 7093, 6770, 7088, 6837],
-    [7094, 7095, 6797, 6841],
-    [7096, 7097, 6773, 7095, 6844],
-    [7098, 7099, 6777, 7094, 6848],
-    [7100, 7101, 6810, 6858],
-    [7102, 7103, 7100, 6781, 6861],
-    [7104, 7105, 7101, 6866, 6784],
-    [7106, 7107, 6869, 6815],
-    [7108, 7109, 6835, 7107, 6788],
-    [7110, 7111, 6871, 6817],
-    [7112, 7113, 6846, 7110, 6793],
-    [7114, 7115, 6820, 6873],
-    [7116, 7117, 6800, 6838, 7114],
-    [7118, 7119, 6875, 6823],
-    [7120, 7121, 6849, 6803, 7118],
-    [7122, 7123, 6822, 6877],
-    [7124, 7125, 6808, 6862, 7123],
-    [7126, 7127, 6825, 6880],
-    [7128, 7129, 6867, 6812, 7127],
-    [7130, 7131, 6829, 7106, 6881],
-    [7132, 7133, 7111, 6828, 6885],
-    [7134, 7135, 7136, 7137, 7138, 7139, 6839, 6882, 6891, 6918, 6488, 6833],
-    [7140, 7141, 7142, 7143, 7144, 7145, 6850, 6845, 6920, 6501, 6886, 6894],
-    [7146, 7147, 6853, 7115, 6889],
-    [7148, 7149, 6854, 6898, 7122],
-    [7150, 7151, 7119, 6893, 6855],
-    [7152, 7153, 6857, 6902, 7126],
-    [7154, 7155, 7156, 7157, 7158, 7159, 6903, 6899, 6863, 6923, 6865, 6514],
-    [7160, 7161, 6908, 6905],
-    [7162, 7163, 6887, 6883, 7160],
-    [7164, 7165, 6909, 6913],
-    [7166, 7167, 7164, 6890, 6897],
-    [7168, 7169, 6912, 6915],
-    [7170, 7171, 6895, 6901, 7168],
-    [7172, 7173, 6919, 6922, 7161],
-    [7174, 7175, 7165, 6924, 6917],
-    [7176, 7177, 6925, 6921, 7169],
-    [7178, 6933, 6929, 6937],
-    [7179, 6969, 6965, 6945],
-    [7180, 6977, 6947, 6973],
-    [7181, 6981, 6985, 6961],
-    [7182, 7001, 6987, 7037],
-    [7183, 7041, 7003, 6989],
-    [7184, 7045, 7019, 6990],
-    [7185, 7049, 7024, 6992],
-    [7186, 7021, 6994, 7053],
-    [7187, 7027, 6997, 7057],
-    [7188, 7091, 7109, 7077],
-    [7189, 7097, 7112, 7078],
-    [7190, 7081, 7092, 7117],
-    [7191, 7099, 7083, 7120],
-    [7192, 7085, 7103, 7125],
-    [7193, 7105, 7129, 7087],
-    [7194, 7133, 7131, 7163],
-    [7195, 7147, 7167, 7149],
-    [7196, 7151, 7171, 7153],
-    [7197, 7175, 7177, 7173],
-    [7198, 7199, 7200, 6943, 6952, 6944, 6928],
-    [7201, 7202, 7203, 6940, 6955, 6946, 6932],
-    [7204, 7205, 7206, 6959, 6953, 6960, 6936],
-    [7207, 7208, 7209, 6942, 7008, 6964, 6986],
-    [7210, 7211, 7212, 6941, 7015, 6988, 6972],
-    [7213, 7214, 7215, 6991, 7004, 6948, 6968],
-    [7216, 7217, 7218, 6957, 7014, 6993, 6976],
-    [7219, 7220, 7221, 7030, 6950, 6995, 6980],
-    [7222, 7223, 7224, 7032, 6958, 6996, 6984],
-    [7225, 7226, 7227, 6939, 7059, 7002, 7000],
-    [7228, 7229, 7230, 6951, 7066, 7018, 7020],
-    [7231, 7232, 7233, 6956, 7072, 7025, 7026],
-    [7234, 7235, 7236, 7063, 7009, 7076, 7036],
-    [7237, 7238, 7239, 7061, 7013, 7079, 7040],
-    [7240, 7241, 7242, 7007, 7065, 7044, 7080],
-    [7243, 7244, 7245, 7073, 7012, 7082, 7048],
-    [7246, 7247, 7248, 7031, 7068, 7052, 7084],
-    [7249, 7250, 7251, 7033, 7075, 7056, 7086],
-    [7252, 7253, 7254, 7136, 7006, 7093, 7090],
-    [7255, 7256, 7257, 7143, 7011, 7098, 7096],
-    [7258, 7259, 7260, 7156, 7102, 7029, 7104],
-    [7261, 7262, 7263, 7138, 7062, 7130, 7108],
-    [7264, 7265, 7266, 7060, 7142, 7113, 7132],
-    [7267, 7268, 7269, 7137, 7067, 7116, 7146],
-    [7270, 7271, 7272, 7157, 7069, 7148, 7124],
-    [7273, 7274, 7275, 7121, 7140, 7070, 7150],
-    [7276, 7277, 7278, 7159, 7074, 7152, 7128],
-    [7279, 7280, 7281, 7139, 7145, 7162, 7172],
-    [7282, 7283, 7284, 7155, 7166, 7135, 7174],
-    [7285, 7286, 7287, 7158, 7144, 7170, 7176],
-    [7288, 7203, 7200, 7206, 7178],
-    [7289, 7215, 7208, 7199, 7179],
-    [7290, 7202, 7218, 7212, 7180],
-    [7291, 7221, 7224, 7205, 7181],
-    [7292, 7227, 7209, 7236, 7182],
-    [7293, 7226, 7239, 7211, 7183],
-    [7294, 7214, 7241, 7229, 7184],
-    [7295, 7220, 7230, 7246, 7186],
-    [7296, 7232, 7245, 7185, 7216],
-    [7297, 7233, 7223, 7250, 7187],
-    [7298, 7254, 7263, 7235, 7188],
-    [7299, 7253, 7242, 7267, 7190],
-    [7300, 7265, 7257, 7189, 7237],
-    [7301, 7274, 7256, 7244, 7191],
-    [7302, 7259, 7248, 7272, 7192],
-    [7303, 7260, 7278, 7251, 7193],
-    [7304, 7266, 7262, 7280, 7194],
-    [7305, 7283, 7269, 7271, 7195],
-    [7306, 7275, 7286, 7277, 7196],
-    [7307, 7284, 7287, 7281, 7197],
-    [7308, 7309, 7310, 7288],
-    [7311, 7312, 7309, 7313, 7198],
-    [7314, 7315, 7310, 7316, 7201],
-    [7317, 7318, 7319, 7312, 7320, 7315, 6938],
-    [7321, 7322, 7308, 7323, 7204],
-    [7324, 7325, 7321, 7311, 7326, 6949, 7327],
-    [7328, 7329, 7322, 7330, 7331, 6954, 7314],
-    [7332, 7313, 7333, 7289],
-    [7334, 7319, 7335, 7332, 7207],
-    [7336, 7337, 7316, 7290],
-    [7338, 7318, 7210, 7339, 7336],
-    [7340, 7326, 7333, 7341, 7213],
-    [7342, 7329, 7337, 7343, 7217],
-    [7323, 7344, 7345, 7291],
-    [7327, 7346, 7345, 7347, 7219],
-    [7348, 7330, 7349, 7344, 7222],
-    [7350, 7320, 7351, 7352, 7225],
-    [7353, 7335, 7351, 7292],
-    [7339, 7354, 7352, 7293],
-    [7355, 7356, 7357, 7334, 7340, 7005, 7358],
-    [7359, 7010, 7338, 7360, 7361, 7362, 7342],
-    [7363, 7325, 7228, 7364, 7365],
-    [7366, 7365, 7341, 7294],
-    [7364, 7367, 7347, 7295],
-    [7368, 7331, 7369, 7370, 7231],
-    [7371, 7343, 7370, 7296],
-    [7372, 7349, 7369, 7297],
-    [7373, 7374, 7375, 7348, 7346, 7028, 7376],
-    [7357, 7377, 7353, 7378, 7234],
-    [7362, 7379, 7354, 7380, 7238],
-    [7381, 7356, 7240, 7382, 7366],
-    [7361, 7383, 7243, 7371, 7384],
-    [7385, 7374, 7386, 7367, 7247],
-    [7387, 7375, 7388, 7372, 7249],
-    [7389, 7379, 7377, 7390, 7391, 7058, 7350],
-    [7392, 7064, 7393, 7381, 7363, 7394, 7385],
-    [7395, 7383, 7387, 7396, 7397, 7071, 7368],
-    [7358, 7398, 7399, 7400, 7252],
-    [7378, 7401, 7399, 7298],
-    [7382, 7402, 7400, 7299],
-    [7360, 7403, 7255, 7404, 7405],
-    [7404, 7380, 7406, 7300],
-    [7405, 7384, 7407, 7301],
-    [7376, 7408, 7409, 7410, 7258],
-    [7411, 7386, 7410, 7302],
-    [7388, 7412, 7409, 7303],
-    [7413, 7390, 7414, 7401, 7261],
-    [7415, 7391, 7416, 7406, 7264],
-    [7394, 7417, 7418, 7402, 7268],
-    [7419, 7397, 7420, 7407, 7273],
-    [7393, 7421, 7270, 7422, 7411],
-    [7396, 7423, 7412, 7424, 7276],
-    [7425, 7414, 7416, 7304],
-    [7426, 7417, 7427, 7413, 7398, 7134, 7428],
-    [7429, 7403, 7430, 7431, 7419, 7141, 7415],
-    [7422, 7418, 7432, 7305],
-    [7433, 7424, 7420, 7306],
-    [7434, 7421, 7435, 7423, 7436, 7408, 7154],
-    [7430, 7427, 7437, 7425, 7279],
-    [7428, 7436, 7438, 7432, 7282],
-    [7431, 7435, 7439, 7433, 7285],
-    [7437, 7439, 7438, 7307],
-    [7392, 7359, 7429, 7395, 7355, 7324, 7426, 7389, 7373, 7328, 7434, 7317],
-  ],
-}
@@ -1,13338 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.11745855519124146, -0.018405862693472774,
-      0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, -0.11745855519124146, -0.0031440967034033623,
-      -0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, -0.11745855519124146, 0.021549959396876137,
-      0.008811384702675652,
-    ],
-    [
-      -0.30901699437494745, -0.10306962422529438, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, -0.10306962422529438, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, -0.10306962422529438, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, -0.08111258225748141,
-      0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, -0.056418526157201915,
-      0.06920551391866722,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, -0.031724470056922416,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, 0.008231352033426498,
-      -0.08890836908975175,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, 0.0728812302240549,
-      0.05158274451331592,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, 0.08814299621412433,
-      0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, -0.05650606549593794, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, -0.05650606549593794, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.05650606549593794, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, -0.05650606549593794, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, -0.05650606549593794, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.05650606549593794, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, -0.10969295561100045,
-      -0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, -0.09443118962093106,
-      -0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, -0.005087255330023138,
-      0.11197687372930748,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, 0.03486856676032578,
-      0.10653113849510304,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, 0.07482438885067469,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, -0.04211713452999087, 0.09951844495095419,
-      -0.05158274451331592,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, -0.11792430764442696,
-      0.008811384702675652,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, -0.07796848555407804,
-      -0.08890836908975175,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, -0.03801266346372914,
-      0.11197687372930748,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, 0.05133127082717877,
-      -0.10653113849510304,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, 0.06659303681724818,
-      0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, 0.11598114901780718,
-      -0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, -0.11598114901780718,
-      0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, -0.06659303681724818,
-      -0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, -0.05133127082717877,
-      0.10653113849510304,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, 0.03801266346372914,
-      -0.11197687372930748,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, 0.07796848555407804,
-      0.08890836908975175,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, 0.11792430764442696,
-      -0.008811384702675652,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, -0.09951844495095419,
-      0.05158274451331592,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, -0.07482438885067469,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, -0.03486856676032578,
-      -0.10653113849510304,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, 0.005087255330023138,
-      -0.11197687372930748,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, 0.09443118962093106,
-      0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, 0.04211713452999087, 0.10969295561100045,
-      0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, 0.05650606549593794, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, 0.05650606549593794, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.05650606549593794, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, 0.05650606549593794, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, 0.05650606549593794, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.05650606549593794, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, -0.08814299621412433,
-      -0.01425711993688009,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, -0.0728812302240549,
-      -0.05158274451331592,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, -0.008231352033426498,
-      0.08890836908975175,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, 0.031724470056922416,
-      0.08346263385554731,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, 0.056418526157201915,
-      -0.06920551391866722,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, 0.08111258225748141,
-      -0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, 0.10306962422529438, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, 0.10306962422529438, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, 0.10306962422529438, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, 0.11745855519124146, -0.021549959396876137,
-      -0.008811384702675652,
-    ],
-    [
-      -0.30901699437494745, 0.11745855519124146, 0.0031440967034033623,
-      0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, 0.11745855519124146, 0.018405862693472774,
-      -0.01425711993688009,
-    ],
-    [-0.2965558146251367, -0.1479348000388932, 0.0, 0.0],
-    [
-      -0.2965558146251367, -0.11026408970826793, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.2965558146251367, -0.11026408970826793, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.2965558146251367, -0.11026408970826793, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [-0.2965558146251367, -0.049311600012964404, -0.1394742670413031, 0.0],
-    [
-      -0.2965558146251367, -0.049311600012964404, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      -0.2965558146251367, -0.049311600012964404, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      -0.2965558146251367, -0.049311600012964404, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.2965558146251367, -0.049311600012964404, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.2965558146251367, -0.049311600012964404, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2965558146251367, 0.049311600012964404, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      -0.2965558146251367, 0.049311600012964404, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.2965558146251367, 0.049311600012964404, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.2965558146251367, 0.049311600012964404, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2965558146251367, 0.049311600012964404, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [-0.2965558146251367, 0.049311600012964404, 0.1394742670413031, 0.0],
-    [
-      -0.2965558146251367, 0.11026408970826793, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2965558146251367, 0.11026408970826793, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.2965558146251367, 0.11026408970826793, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [-0.2965558146251367, 0.1479348000388932, 0.0, 0.0],
-    [-0.27639320225002106, -0.18285746908591055, 0.0, 0.0],
-    [
-      -0.27639320225002106, -0.13629391035655408, -0.09637434824755081,
-      0.07465124915287166,
-    ],
-    [
-      -0.27639320225002106, -0.13629391035655408, -0.016462704066852997,
-      -0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, -0.13629391035655408, 0.11283705231440383,
-      0.04613700927911148,
-    ],
-    [-0.27639320225002106, -0.06095248969530351, -0.1723996751750091, 0.0],
-    [
-      -0.27639320225002106, -0.06095248969530351, -0.1230115629744501,
-      -0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, -0.06095248969530351, -0.04309991879375227,
-      0.16692526771109462,
-    ],
-    [
-      -0.27639320225002106, -0.06095248969530351, 0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      -0.27639320225002106, -0.06095248969530351, 0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      -0.27639320225002106, -0.06095248969530351, 0.1661114817682024,
-      -0.04613700927911148,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, -0.1661114817682024,
-      0.04613700927911148,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, -0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, -0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, 0.04309991879375227,
-      -0.16692526771109462,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, 0.1230115629744501,
-      0.12078825843198313,
-    ],
-    [-0.27639320225002106, 0.06095248969530351, 0.1723996751750091, 0.0],
-    [
-      -0.27639320225002106, 0.13629391035655408, -0.11283705231440383,
-      -0.04613700927911148,
-    ],
-    [
-      -0.27639320225002106, 0.13629391035655408, 0.016462704066852997,
-      0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, 0.13629391035655408, 0.09637434824755081,
-      -0.07465124915287166,
-    ],
-    [-0.27639320225002106, 0.18285746908591055, 0.0, 0.0],
-    [
-      -0.2562305898749053, -0.20888728973419673, -0.018405862693472774,
-      0.01425711993688009,
-    ],
-    [
-      -0.2562305898749053, -0.20888728973419673, -0.0031440967034033623,
-      -0.02306850463955574,
-    ],
-    [
-      -0.2562305898749053, -0.20888728973419673, 0.021549959396876137,
-      0.008811384702675652,
-    ],
-    [
-      -0.2562305898749053, -0.17121657940357143, -0.09637434824755081,
-      0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, -0.17121657940357143, -0.016462704066852997,
-      -0.12078825843198313,
-    ],
-    [
-      -0.2562305898749053, -0.17121657940357143, 0.11283705231440383,
-      0.04613700927911148,
-    ],
-    [
-      -0.2562305898749053, -0.1479348000388932, -0.12929975638125685,
-      0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, -0.1479348000388932, -0.10460570028097732,
-      0.10653113849510304,
-    ],
-    [
-      -0.2562305898749053, -0.1479348000388932, -0.03995582209034891,
-      -0.14385676307153888,
-    ],
-    [-0.2562305898749053, -0.1479348000388932, 0.0, -0.14930249830574333],
-    [
-      -0.2562305898749053, -0.1479348000388932, 0.12929975638125685,
-      0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, -0.1479348000388932, 0.14456152237132625,
-      0.03732562457643583,
-    ],
-    [
-      -0.2562305898749053, -0.08698231034358969, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      -0.2562305898749053, -0.08698231034358969, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      -0.2562305898749053, -0.08698231034358969, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      -0.2562305898749053, -0.08698231034358969, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      -0.2562305898749053, -0.08698231034358969, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      -0.2562305898749053, -0.08698231034358969, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2562305898749053, -0.07259337937764263, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      -0.2562305898749053, -0.07259337937764263, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      -0.2562305898749053, -0.07259337937764263, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      -0.2562305898749053, -0.07259337937764263, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      -0.2562305898749053, -0.07259337937764263, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      -0.2562305898749053, -0.07259337937764263, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, -0.049311600012964404, -0.2041241452319315,
-      0.008811384702675652,
-    ],
-    [
-      -0.2562305898749053, -0.049311600012964404, -0.1394742670413031,
-      -0.14930249830574333,
-    ],
-    [
-      -0.2562305898749053, -0.049311600012964404, -0.05956262286060528,
-      0.1954395075848548,
-    ],
-    [
-      -0.2562305898749053, -0.049311600012964404, 0.09443118962093106,
-      -0.18118238764797473,
-    ],
-    [
-      -0.2562305898749053, -0.049311600012964404, 0.10969295561100045,
-      0.17237100294529906,
-    ],
-    [
-      -0.2562305898749053, -0.049311600012964404, 0.19903688990190838,
-      -0.04613700927911148,
-    ],
-    [
-      -0.2562305898749053, 0.049311600012964404, -0.19903688990190838,
-      0.04613700927911148,
-    ],
-    [
-      -0.2562305898749053, 0.049311600012964404, -0.10969295561100045,
-      -0.17237100294529906,
-    ],
-    [
-      -0.2562305898749053, 0.049311600012964404, -0.09443118962093106,
-      0.18118238764797473,
-    ],
-    [
-      -0.2562305898749053, 0.049311600012964404, 0.05956262286060528,
-      -0.1954395075848548,
-    ],
-    [
-      -0.2562305898749053, 0.049311600012964404, 0.1394742670413031,
-      0.14930249830574333,
-    ],
-    [
-      -0.2562305898749053, 0.049311600012964404, 0.2041241452319315,
-      -0.008811384702675652,
-    ],
-    [
-      -0.2562305898749053, 0.07259337937764263, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, 0.07259337937764263, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      -0.2562305898749053, 0.07259337937764263, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      -0.2562305898749053, 0.07259337937764263, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      -0.2562305898749053, 0.07259337937764263, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      -0.2562305898749053, 0.07259337937764263, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [
-      -0.2562305898749053, 0.08698231034358969, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      -0.2562305898749053, 0.08698231034358969, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      -0.2562305898749053, 0.08698231034358969, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      -0.2562305898749053, 0.08698231034358969, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      -0.2562305898749053, 0.08698231034358969, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      -0.2562305898749053, 0.08698231034358969, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      -0.2562305898749053, 0.1479348000388932, -0.14456152237132625,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2562305898749053, 0.1479348000388932, -0.12929975638125685,
-      -0.07465124915287166,
-    ],
-    [-0.2562305898749053, 0.1479348000388932, 0.0, 0.14930249830574333],
-    [
-      -0.2562305898749053, 0.1479348000388932, 0.03995582209034891,
-      0.14385676307153888,
-    ],
-    [
-      -0.2562305898749053, 0.1479348000388932, 0.10460570028097732,
-      -0.10653113849510304,
-    ],
-    [
-      -0.2562305898749053, 0.1479348000388932, 0.12929975638125685,
-      -0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, 0.17121657940357143, -0.11283705231440383,
-      -0.04613700927911148,
-    ],
-    [
-      -0.2562305898749053, 0.17121657940357143, 0.016462704066852997,
-      0.12078825843198313,
-    ],
-    [
-      -0.2562305898749053, 0.17121657940357143, 0.09637434824755081,
-      -0.07465124915287166,
-    ],
-    [
-      -0.2562305898749053, 0.20888728973419673, -0.021549959396876137,
-      -0.008811384702675652,
-    ],
-    [
-      -0.2562305898749053, 0.20888728973419673, 0.0031440967034033623,
-      0.02306850463955574,
-    ],
-    [
-      -0.2562305898749053, 0.20888728973419673, 0.018405862693472774,
-      -0.01425711993688009,
-    ],
-    [
-      -0.24376941012509462, -0.21608175521717027, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, -0.21608175521717027, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, -0.21608175521717027, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.24376941012509462, -0.2016928242512232, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, -0.2016928242512232, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.24376941012509462, -0.2016928242512232, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, -0.14074033455591967, -0.16416832314158258,
-      0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, -0.14074033455591967, -0.09951844495095419,
-      0.14385676307153888,
-    ],
-    [
-      -0.24376941012509462, -0.14074033455591967, -0.07482438885067469,
-      -0.15811388300841894,
-    ],
-    [
-      -0.24376941012509462, -0.14074033455591967, 0.02978131143030264,
-      -0.17237100294529906,
-    ],
-    [
-      -0.24376941012509462, -0.14074033455591967, 0.13438701171127998,
-      0.11197687372930748,
-    ],
-    [
-      -0.24376941012509462, -0.14074033455591967, 0.17434283380162885,
-      0.01425711993688009,
-    ],
-    [
-      -0.24376941012509462, -0.11745855519124146, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, -0.11745855519124146, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      -0.24376941012509462, -0.11745855519124146, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      -0.24376941012509462, -0.11745855519124146, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      -0.24376941012509462, -0.11745855519124146, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      -0.24376941012509462, -0.11745855519124146, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      -0.24376941012509462, -0.07978784486061616, -0.20098004852852813,
-      -0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, -0.07978784486061616, -0.18571828253845873,
-      -0.0977197537924274,
-    ],
-    [
-      -0.24376941012509462, -0.07978784486061616, 0.008231352033426498,
-      0.2096966275217349,
-    ],
-    [
-      -0.24376941012509462, -0.07978784486061616, 0.048187174123775406,
-      0.20425089228753046,
-    ],
-    [
-      -0.24376941012509462, -0.07978784486061616, 0.15279287440475275,
-      -0.14385676307153888,
-    ],
-    [
-      -0.24376941012509462, -0.07978784486061616, 0.17748693050503223,
-      -0.11197687372930748,
-    ],
-    [
-      -0.24376941012509462, -0.018835355165312644, -0.22253000792540428,
-      0.02306850463955574,
-    ],
-    [
-      -0.24376941012509462, -0.018835355165312644, -0.14261836374470646,
-      -0.17237100294529906,
-    ],
-    [
-      -0.24376941012509462, -0.018835355165312644, -0.07796848555407804,
-      0.2096966275217349,
-    ],
-    [
-      -0.24376941012509462, -0.018835355165312644, 0.09128709291752768,
-      -0.20425089228753046,
-    ],
-    [
-      -0.24376941012509462, -0.018835355165312644, 0.1312429150078766,
-      0.18118238764797473,
-    ],
-    [
-      -0.24376941012509462, -0.018835355165312644, 0.22058684929878453,
-      -0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, 0.018835355165312644, -0.22058684929878453,
-      0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, 0.018835355165312644, -0.1312429150078766,
-      -0.18118238764797473,
-    ],
-    [
-      -0.24376941012509462, 0.018835355165312644, -0.09128709291752768,
-      0.20425089228753046,
-    ],
-    [
-      -0.24376941012509462, 0.018835355165312644, 0.07796848555407804,
-      -0.2096966275217349,
-    ],
-    [
-      -0.24376941012509462, 0.018835355165312644, 0.14261836374470646,
-      0.17237100294529906,
-    ],
-    [
-      -0.24376941012509462, 0.018835355165312644, 0.22253000792540428,
-      -0.02306850463955574,
-    ],
-    [
-      -0.24376941012509462, 0.07978784486061616, -0.17748693050503223,
-      0.11197687372930748,
-    ],
-    [
-      -0.24376941012509462, 0.07978784486061616, -0.15279287440475275,
-      0.14385676307153888,
-    ],
-    [
-      -0.24376941012509462, 0.07978784486061616, -0.048187174123775406,
-      -0.20425089228753046,
-    ],
-    [
-      -0.24376941012509462, 0.07978784486061616, -0.008231352033426498,
-      -0.2096966275217349,
-    ],
-    [
-      -0.24376941012509462, 0.07978784486061616, 0.18571828253845873,
-      0.0977197537924274,
-    ],
-    [
-      -0.24376941012509462, 0.07978784486061616, 0.20098004852852813,
-      0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, 0.11745855519124146, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      -0.24376941012509462, 0.11745855519124146, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      -0.24376941012509462, 0.11745855519124146, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      -0.24376941012509462, 0.11745855519124146, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      -0.24376941012509462, 0.11745855519124146, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      -0.24376941012509462, 0.11745855519124146, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, 0.14074033455591967, -0.17434283380162885,
-      -0.01425711993688009,
-    ],
-    [
-      -0.24376941012509462, 0.14074033455591967, -0.13438701171127998,
-      -0.11197687372930748,
-    ],
-    [
-      -0.24376941012509462, 0.14074033455591967, -0.02978131143030264,
-      0.17237100294529906,
-    ],
-    [
-      -0.24376941012509462, 0.14074033455591967, 0.07482438885067469,
-      0.15811388300841894,
-    ],
-    [
-      -0.24376941012509462, 0.14074033455591967, 0.09951844495095419,
-      -0.14385676307153888,
-    ],
-    [
-      -0.24376941012509462, 0.14074033455591967, 0.16416832314158258,
-      -0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, 0.2016928242512232, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.24376941012509462, 0.2016928242512232, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.24376941012509462, 0.2016928242512232, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, 0.21608175521717027, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.24376941012509462, 0.21608175521717027, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.24376941012509462, 0.21608175521717027, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, -0.08111258225748141,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, -0.056418526157201915,
-      0.06920551391866722,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, -0.031724470056922416,
-      -0.08346263385554731,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, 0.008231352033426498,
-      -0.08890836908975175,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, 0.0728812302240549,
-      0.05158274451331592,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, 0.08814299621412433,
-      0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, -0.15238122423825878, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.15238122423825878, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, -0.15238122423825878, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      -0.223606797749979, -0.15238122423825878, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, -0.15238122423825878, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      -0.223606797749979, -0.15238122423825878, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.195892793198505,
-      0.06920551391866722,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.11598114901780718,
-      0.17237100294529906,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.09128709291752768,
-      -0.18662812288217914,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.03801266346372914,
-      -0.20425089228753046,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.1578801297347759,
-      0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.20726824193533488,
-      0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, -0.10581766550890234, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      -0.223606797749979, -0.10581766550890234, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, -0.10581766550890234, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, -0.21744275259538115,
-      -0.08890836908975175,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, 0.031724470056922416,
-      0.23276513216129063,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, 0.18571828253845873,
-      -0.14385676307153888,
-    ],
-    [
-      -0.223606797749979, -0.007194465482973537, -0.2389927119922573,
-      0.05158274451331592,
-    ],
-    [
-      -0.223606797749979, -0.007194465482973537, -0.13438701171127998,
-      -0.20425089228753046,
-    ],
-    [
-      -0.223606797749979, -0.007194465482973537, -0.10969295561100045,
-      0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, -0.007194465482973537, 0.07482438885067469,
-      -0.23276513216129063,
-    ],
-    [
-      -0.223606797749979, -0.007194465482973537, 0.16416832314158258,
-      0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, -0.007194465482973537, 0.24407996732228043,
-      -0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, 0.007194465482973537, -0.24407996732228043,
-      0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, 0.007194465482973537, -0.16416832314158258,
-      -0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, 0.007194465482973537, -0.07482438885067469,
-      0.23276513216129063,
-    ],
-    [
-      -0.223606797749979, 0.007194465482973537, 0.10969295561100045,
-      -0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, 0.007194465482973537, 0.13438701171127998,
-      0.20425089228753046,
-    ],
-    [
-      -0.223606797749979, 0.007194465482973537, 0.2389927119922573,
-      -0.05158274451331592,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, -0.18571828253845873,
-      0.14385676307153888,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, -0.031724470056922416,
-      -0.23276513216129063,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, 0.21744275259538115,
-      0.08890836908975175,
-    ],
-    [
-      -0.223606797749979, 0.10581766550890234, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, 0.10581766550890234, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, 0.10581766550890234, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.20726824193533488,
-      -0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.1578801297347759,
-      -0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.03801266346372914,
-      0.20425089228753046,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.09128709291752768,
-      0.18662812288217914,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.11598114901780718,
-      -0.17237100294529906,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.195892793198505,
-      -0.06920551391866722,
-    ],
-    [
-      -0.223606797749979, 0.15238122423825878, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, 0.15238122423825878, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      -0.223606797749979, 0.15238122423825878, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, 0.15238122423825878, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      -0.223606797749979, 0.15238122423825878, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.15238122423825878, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, -0.08814299621412433,
-      -0.01425711993688009,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, -0.0728812302240549,
-      -0.05158274451331592,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, -0.008231352033426498,
-      0.08890836908975175,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, 0.031724470056922416,
-      0.08346263385554731,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, 0.056418526157201915,
-      -0.06920551391866722,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, 0.08111258225748141,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2034441853748633, -0.2393635345818485, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, -0.2393635345818485, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, -0.2393635345818485, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, -0.2393635345818485, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, -0.2393635345818485, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, -0.2393635345818485, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, -0.17841104488654497, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, -0.17841104488654497, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      -0.2034441853748633, -0.17841104488654497, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      -0.2034441853748633, -0.17841104488654497, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      -0.2034441853748633, -0.17841104488654497, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      -0.2034441853748633, -0.17841104488654497, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2034441853748633, -0.14074033455591967, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, -0.14074033455591967, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      -0.2034441853748633, -0.14074033455591967, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2034441853748633, -0.11745855519124146, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, -0.11745855519124146, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      -0.2034441853748633, -0.11745855519124146, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      -0.2034441853748633, -0.11745855519124146, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      -0.2034441853748633, -0.11745855519124146, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      -0.2034441853748633, -0.11745855519124146, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [
-      -0.2034441853748633, -0.04211713452999087, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, -0.04211713452999087, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.2034441853748633, -0.04211713452999087, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.2034441853748633, -0.018835355165312644, -0.24722406402568378,
-      0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, -0.018835355165312644, -0.14261836374470646,
-      0.21850801222441052,
-    ],
-    [
-      -0.2034441853748633, -0.018835355165312644, -0.11792430764442696,
-      -0.23276513216129063,
-    ],
-    [
-      -0.2034441853748633, -0.018835355165312644, 0.05133127082717877,
-      -0.25583363680084636,
-    ],
-    [
-      -0.2034441853748633, -0.018835355165312644, 0.195892793198505,
-      0.17237100294529906,
-    ],
-    [
-      -0.2034441853748633, -0.018835355165312644, 0.26054267138913345,
-      0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, 0.018835355165312644, -0.26054267138913345,
-      -0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, 0.018835355165312644, -0.195892793198505,
-      -0.17237100294529906,
-    ],
-    [
-      -0.2034441853748633, 0.018835355165312644, -0.05133127082717877,
-      0.25583363680084636,
-    ],
-    [
-      -0.2034441853748633, 0.018835355165312644, 0.11792430764442696,
-      0.23276513216129063,
-    ],
-    [
-      -0.2034441853748633, 0.018835355165312644, 0.14261836374470646,
-      -0.21850801222441052,
-    ],
-    [
-      -0.2034441853748633, 0.018835355165312644, 0.24722406402568378,
-      -0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, 0.04211713452999087, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.2034441853748633, 0.04211713452999087, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.2034441853748633, 0.04211713452999087, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, 0.11745855519124146, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      -0.2034441853748633, 0.11745855519124146, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2034441853748633, 0.11745855519124146, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      -0.2034441853748633, 0.11745855519124146, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      -0.2034441853748633, 0.11745855519124146, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      -0.2034441853748633, 0.11745855519124146, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, 0.14074033455591967, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      -0.2034441853748633, 0.14074033455591967, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      -0.2034441853748633, 0.14074033455591967, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, 0.17841104488654497, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      -0.2034441853748633, 0.17841104488654497, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      -0.2034441853748633, 0.17841104488654497, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      -0.2034441853748633, 0.17841104488654497, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      -0.2034441853748633, 0.17841104488654497, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      -0.2034441853748633, 0.17841104488654497, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, 0.2393635345818485, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      -0.2034441853748633, 0.2393635345818485, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, 0.2393635345818485, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, 0.2393635345818485, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      -0.2034441853748633, 0.2393635345818485, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      -0.2034441853748633, 0.2393635345818485, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, -0.10969295561100045,
-      -0.02306850463955574,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, -0.09443118962093106,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, -0.005087255330023138,
-      0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, 0.03486856676032578,
-      0.10653113849510304,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, 0.07482438885067469,
-      -0.08346263385554731,
-    ],
-    [
-      -0.19098300562505258, -0.24655800006482204, 0.09951844495095419,
-      -0.05158274451331592,
-    ],
-    [-0.19098300562505258, -0.23216906909887494, -0.1394742670413031, 0.0],
-    [
-      -0.19098300562505258, -0.23216906909887494, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, -0.23216906909887494, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.23216906909887494, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, -0.23216906909887494, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, -0.23216906909887494, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [-0.19098300562505258, -0.20888728973419673, -0.1723996751750091, 0.0],
-    [
-      -0.19098300562505258, -0.20888728973419673, -0.1230115629744501,
-      -0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, -0.04309991879375227,
-      0.16692526771109462,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, 0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, 0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, 0.1661114817682024,
-      -0.04613700927911148,
-    ],
-    [
-      -0.19098300562505258, -0.1856055103695185, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      -0.19098300562505258, -0.1856055103695185, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, -0.1856055103695185, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      -0.19098300562505258, -0.1856055103695185, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      -0.19098300562505258, -0.1856055103695185, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, -0.1856055103695185, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      -0.19098300562505258, -0.17121657940357143, -0.20098004852852813,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19098300562505258, -0.17121657940357143, -0.18571828253845873,
-      -0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, -0.17121657940357143, 0.008231352033426498,
-      0.2096966275217349,
-    ],
-    [
-      -0.19098300562505258, -0.17121657940357143, 0.048187174123775406,
-      0.20425089228753046,
-    ],
-    [
-      -0.19098300562505258, -0.17121657940357143, 0.15279287440475275,
-      -0.14385676307153888,
-    ],
-    [
-      -0.19098300562505258, -0.17121657940357143, 0.17748693050503223,
-      -0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, -0.20726824193533488,
-      0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, -0.18257418583505536,
-      0.16692526771109462,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, -0.05327442945379855,
-      -0.24157651686396625,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, -0.013318607363449638,
-      -0.2470222520981707,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, 0.22058684929878453,
-      0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, -0.11026408970826793, 0.23584861528885392,
-      0.07465124915287166,
-    ],
-    [
-      -0.19098300562505258, -0.08698231034358969, -0.2307613599588308,
-      0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, -0.08698231034358969, -0.1661114817682024,
-      0.1954395075848548,
-    ],
-    [
-      -0.19098300562505258, -0.08698231034358969, -0.08619983758750455,
-      -0.24157651686396625,
-    ],
-    [
-      -0.19098300562505258, -0.08698231034358969, 0.018405862693472774,
-      -0.25583363680084636,
-    ],
-    [
-      -0.19098300562505258, -0.08698231034358969, 0.21235549726535802,
-      0.14385676307153888,
-    ],
-    [
-      -0.19098300562505258, -0.08698231034358969, 0.25231131935570694,
-      0.04613700927911148,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, -0.24407996732228043,
-      0.10653113849510304,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, -0.16416832314158258,
-      0.2096966275217349,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, -0.09951844495095419,
-      -0.2470222520981707,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, 0.02978131143030264,
-      -0.264645021503522,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, 0.21429865589197777,
-      0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, 0.26368676809253677,
-      0.03732562457643583,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, -0.25739857468573,
-      -0.08346263385554731,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, -0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, -0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, -0.17748693050503223,
-      0.20425089228753046,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, -0.08814299621412433,
-      -0.25583363680084636,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.056418526157201915,
-      0.264645021503522,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.20098004852852813,
-      -0.18118238764797473,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, -0.01164088968233911, 0.26562992671915653,
-      0.05158274451331592,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.26562992671915653,
-      -0.05158274451331592,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.20098004852852813,
-      0.18118238764797473,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.056418526157201915,
-      -0.264645021503522,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, -0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, 0.08814299621412433,
-      0.25583363680084636,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, 0.17748693050503223,
-      -0.20425089228753046,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, 0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, 0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, 0.01164088968233911, 0.25739857468573,
-      0.08346263385554731,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, -0.26368676809253677,
-      -0.03732562457643583,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, -0.21429865589197777,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, -0.02978131143030264,
-      0.264645021503522,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, 0.09951844495095419,
-      0.2470222520981707,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, 0.16416832314158258,
-      -0.2096966275217349,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, 0.24407996732228043,
-      -0.10653113849510304,
-    ],
-    [
-      -0.19098300562505258, 0.08698231034358969, -0.25231131935570694,
-      -0.04613700927911148,
-    ],
-    [
-      -0.19098300562505258, 0.08698231034358969, -0.21235549726535802,
-      -0.14385676307153888,
-    ],
-    [
-      -0.19098300562505258, 0.08698231034358969, -0.018405862693472774,
-      0.25583363680084636,
-    ],
-    [
-      -0.19098300562505258, 0.08698231034358969, 0.08619983758750455,
-      0.24157651686396625,
-    ],
-    [
-      -0.19098300562505258, 0.08698231034358969, 0.1661114817682024,
-      -0.1954395075848548,
-    ],
-    [
-      -0.19098300562505258, 0.08698231034358969, 0.2307613599588308,
-      -0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, -0.23584861528885392,
-      -0.07465124915287166,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, -0.22058684929878453,
-      -0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, 0.013318607363449638,
-      0.2470222520981707,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, 0.05327442945379855,
-      0.24157651686396625,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, 0.18257418583505536,
-      -0.16692526771109462,
-    ],
-    [
-      -0.19098300562505258, 0.11026408970826793, 0.20726824193533488,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.17121657940357143, -0.17748693050503223,
-      0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, 0.17121657940357143, -0.15279287440475275,
-      0.14385676307153888,
-    ],
-    [
-      -0.19098300562505258, 0.17121657940357143, -0.048187174123775406,
-      -0.20425089228753046,
-    ],
-    [
-      -0.19098300562505258, 0.17121657940357143, -0.008231352033426498,
-      -0.2096966275217349,
-    ],
-    [
-      -0.19098300562505258, 0.17121657940357143, 0.18571828253845873,
-      0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, 0.17121657940357143, 0.20098004852852813,
-      0.06039412921599156,
-    ],
-    [
-      -0.19098300562505258, 0.1856055103695185, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      -0.19098300562505258, 0.1856055103695185, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, 0.1856055103695185, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      -0.19098300562505258, 0.1856055103695185, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      -0.19098300562505258, 0.1856055103695185, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, 0.1856055103695185, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, -0.1661114817682024,
-      0.04613700927911148,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, -0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, -0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, 0.04309991879375227,
-      -0.16692526771109462,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, 0.1230115629744501,
-      0.12078825843198313,
-    ],
-    [-0.19098300562505258, 0.20888728973419673, 0.1723996751750091, 0.0],
-    [
-      -0.19098300562505258, 0.23216906909887494, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      -0.19098300562505258, 0.23216906909887494, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, 0.23216906909887494, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.19098300562505258, 0.23216906909887494, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      -0.19098300562505258, 0.23216906909887494, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [-0.19098300562505258, 0.23216906909887494, 0.1394742670413031, 0.0],
-    [
-      -0.19098300562505258, 0.24655800006482204, -0.09951844495095419,
-      0.05158274451331592,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, -0.07482438885067469,
-      0.08346263385554731,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, -0.03486856676032578,
-      -0.10653113849510304,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, 0.005087255330023138,
-      -0.11197687372930748,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, 0.09443118962093106,
-      0.06039412921599156,
-    ],
-    [
-      -0.19098300562505258, 0.24655800006482204, 0.10969295561100045,
-      0.02306850463955574,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, -0.11792430764442696,
-      0.008811384702675652,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, -0.07796848555407804,
-      -0.08890836908975175,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, -0.03801266346372914,
-      0.11197687372930748,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, 0.05133127082717877,
-      -0.10653113849510304,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, 0.06659303681724818,
-      0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, 0.11598114901780718,
-      -0.02306850463955574,
-    ],
-    [
-      -0.17082039324993692, -0.19724640005185762, -0.2041241452319315,
-      0.008811384702675652,
-    ],
-    [
-      -0.17082039324993692, -0.19724640005185762, -0.1394742670413031,
-      -0.14930249830574333,
-    ],
-    [
-      -0.17082039324993692, -0.19724640005185762, -0.05956262286060528,
-      0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, -0.19724640005185762, 0.09443118962093106,
-      -0.18118238764797473,
-    ],
-    [
-      -0.17082039324993692, -0.19724640005185762, 0.10969295561100045,
-      0.17237100294529906,
-    ],
-    [
-      -0.17082039324993692, -0.19724640005185762, 0.19903688990190838,
-      -0.04613700927911148,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, -0.21744275259538115,
-      -0.08890836908975175,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, 0.031724470056922416,
-      0.23276513216129063,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, 0.18571828253845873,
-      -0.14385676307153888,
-    ],
-    [
-      -0.17082039324993692, -0.12190497939060702, -0.2307613599588308,
-      0.11197687372930748,
-    ],
-    [
-      -0.17082039324993692, -0.12190497939060702, -0.1661114817682024,
-      0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, -0.12190497939060702, -0.08619983758750455,
-      -0.24157651686396625,
-    ],
-    [
-      -0.17082039324993692, -0.12190497939060702, 0.018405862693472774,
-      -0.25583363680084636,
-    ],
-    [
-      -0.17082039324993692, -0.12190497939060702, 0.21235549726535802,
-      0.14385676307153888,
-    ],
-    [
-      -0.17082039324993692, -0.12190497939060702, 0.25231131935570694,
-      0.04613700927911148,
-    ],
-    [
-      -0.17082039324993692, -0.03767071033062529, -0.26054267138913345,
-      -0.10653113849510304,
-    ],
-    [
-      -0.17082039324993692, -0.03767071033062529, 0.03801266346372914,
-      0.27890214144040215,
-    ],
-    [
-      -0.17082039324993692, -0.03767071033062529, 0.22253000792540428,
-      -0.17237100294529906,
-    ],
-    [
-      -0.17082039324993692, -0.02328177936467822, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, -0.02328177936467822, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      -0.17082039324993692, -0.02328177936467822, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      -0.17082039324993692, -0.02328177936467822, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      -0.17082039324993692, -0.02328177936467822, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      -0.17082039324993692, -0.02328177936467822, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      -0.17082039324993692, 0.02328177936467822, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      -0.17082039324993692, 0.02328177936467822, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      -0.17082039324993692, 0.02328177936467822, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      -0.17082039324993692, 0.02328177936467822, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      -0.17082039324993692, 0.02328177936467822, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      -0.17082039324993692, 0.02328177936467822, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, 0.03767071033062529, -0.22253000792540428,
-      0.17237100294529906,
-    ],
-    [
-      -0.17082039324993692, 0.03767071033062529, -0.03801266346372914,
-      -0.27890214144040215,
-    ],
-    [
-      -0.17082039324993692, 0.03767071033062529, 0.26054267138913345,
-      0.10653113849510304,
-    ],
-    [
-      -0.17082039324993692, 0.12190497939060702, -0.25231131935570694,
-      -0.04613700927911148,
-    ],
-    [
-      -0.17082039324993692, 0.12190497939060702, -0.21235549726535802,
-      -0.14385676307153888,
-    ],
-    [
-      -0.17082039324993692, 0.12190497939060702, -0.018405862693472774,
-      0.25583363680084636,
-    ],
-    [
-      -0.17082039324993692, 0.12190497939060702, 0.08619983758750455,
-      0.24157651686396625,
-    ],
-    [
-      -0.17082039324993692, 0.12190497939060702, 0.1661114817682024,
-      -0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, 0.12190497939060702, 0.2307613599588308,
-      -0.11197687372930748,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, -0.18571828253845873,
-      0.14385676307153888,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, -0.031724470056922416,
-      -0.23276513216129063,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, 0.21744275259538115,
-      0.08890836908975175,
-    ],
-    [
-      -0.17082039324993692, 0.19724640005185762, -0.19903688990190838,
-      0.04613700927911148,
-    ],
-    [
-      -0.17082039324993692, 0.19724640005185762, -0.10969295561100045,
-      -0.17237100294529906,
-    ],
-    [
-      -0.17082039324993692, 0.19724640005185762, -0.09443118962093106,
-      0.18118238764797473,
-    ],
-    [
-      -0.17082039324993692, 0.19724640005185762, 0.05956262286060528,
-      -0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, 0.19724640005185762, 0.1394742670413031,
-      0.14930249830574333,
-    ],
-    [
-      -0.17082039324993692, 0.19724640005185762, 0.2041241452319315,
-      -0.008811384702675652,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, -0.11598114901780718,
-      0.02306850463955574,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, -0.06659303681724818,
-      -0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, -0.05133127082717877,
-      0.10653113849510304,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, 0.03801266346372914,
-      -0.11197687372930748,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, 0.07796848555407804,
-      0.08890836908975175,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, 0.11792430764442696,
-      -0.008811384702675652,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, -0.11598114901780718,
-      0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, -0.06659303681724818,
-      -0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, -0.05133127082717877,
-      0.10653113849510304,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, 0.03801266346372914,
-      -0.11197687372930748,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, 0.07796848555407804,
-      0.08890836908975175,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, 0.11792430764442696,
-      -0.008811384702675652,
-    ],
-    [
-      -0.13819660112501053, -0.2016928242512232, -0.22253000792540428,
-      0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, -0.2016928242512232, -0.14261836374470646,
-      -0.17237100294529906,
-    ],
-    [
-      -0.13819660112501053, -0.2016928242512232, -0.07796848555407804,
-      0.2096966275217349,
-    ],
-    [
-      -0.13819660112501053, -0.2016928242512232, 0.09128709291752768,
-      -0.20425089228753046,
-    ],
-    [
-      -0.13819660112501053, -0.2016928242512232, 0.1312429150078766,
-      0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, -0.2016928242512232, 0.22058684929878453,
-      -0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, -0.15512926552186673, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, -0.15512926552186673, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, -0.15512926552186673, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, -0.24407996732228043,
-      0.10653113849510304,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, -0.16416832314158258,
-      0.2096966275217349,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, -0.09951844495095419,
-      -0.2470222520981707,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, 0.02978131143030264,
-      -0.264645021503522,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, 0.21429865589197777,
-      0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, 0.26368676809253677,
-      0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, -0.05650606549593794, -0.27386127875258304,
-      -0.11197687372930748,
-    ],
-    [
-      -0.13819660112501053, -0.05650606549593794, 0.03995582209034891,
-      0.2931592613772822,
-    ],
-    [
-      -0.13819660112501053, -0.05650606549593794, 0.23390545666223417,
-      -0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.28717988611603273,
-      0.08890836908975175,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.1578801297347759,
-      0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.14261836374470646,
-      -0.264645021503522,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.06659303681724818,
-      -0.2931592613772822,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.22058684929878453,
-      0.20425089228753046,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.3004984934794823,
-      0.008811384702675652,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.3004984934794823,
-      -0.008811384702675652,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.22058684929878453,
-      -0.20425089228753046,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.06659303681724818,
-      0.2931592613772822,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.14261836374470646,
-      0.264645021503522,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.1578801297347759,
-      -0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.28717988611603273,
-      -0.08890836908975175,
-    ],
-    [
-      -0.13819660112501053, 0.05650606549593794, -0.23390545666223417,
-      0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, 0.05650606549593794, -0.03995582209034891,
-      -0.2931592613772822,
-    ],
-    [
-      -0.13819660112501053, 0.05650606549593794, 0.27386127875258304,
-      0.11197687372930748,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, -0.26368676809253677,
-      -0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, -0.21429865589197777,
-      -0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, -0.02978131143030264,
-      0.264645021503522,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, 0.09951844495095419,
-      0.2470222520981707,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, 0.16416832314158258,
-      -0.2096966275217349,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, 0.24407996732228043,
-      -0.10653113849510304,
-    ],
-    [
-      -0.13819660112501053, 0.15512926552186673, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, 0.15512926552186673, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, 0.15512926552186673, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, 0.2016928242512232, -0.22058684929878453,
-      0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, 0.2016928242512232, -0.1312429150078766,
-      -0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, 0.2016928242512232, -0.09128709291752768,
-      0.20425089228753046,
-    ],
-    [
-      -0.13819660112501053, 0.2016928242512232, 0.07796848555407804,
-      -0.2096966275217349,
-    ],
-    [
-      -0.13819660112501053, 0.2016928242512232, 0.14261836374470646,
-      0.17237100294529906,
-    ],
-    [
-      -0.13819660112501053, 0.2016928242512232, 0.22253000792540428,
-      -0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, -0.11792430764442696,
-      0.008811384702675652,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, -0.07796848555407804,
-      -0.08890836908975175,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, -0.03801266346372914,
-      0.11197687372930748,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, 0.05133127082717877,
-      -0.10653113849510304,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, 0.06659303681724818,
-      0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, 0.11598114901780718,
-      -0.02306850463955574,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, -0.09951844495095419,
-      0.05158274451331592,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, -0.07482438885067469,
-      0.08346263385554731,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, -0.03486856676032578,
-      -0.10653113849510304,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, 0.005087255330023138,
-      -0.11197687372930748,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, 0.09443118962093106,
-      0.06039412921599156,
-    ],
-    [
-      -0.11803398874989485, -0.28867513459481287, 0.10969295561100045,
-      0.02306850463955574,
-    ],
-    [
-      -0.11803398874989485, -0.19005193456888408, -0.2389927119922573,
-      0.05158274451331592,
-    ],
-    [
-      -0.11803398874989485, -0.19005193456888408, -0.13438701171127998,
-      -0.20425089228753046,
-    ],
-    [
-      -0.11803398874989485, -0.19005193456888408, -0.10969295561100045,
-      0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, -0.19005193456888408, 0.07482438885067469,
-      -0.23276513216129063,
-    ],
-    [
-      -0.11803398874989485, -0.19005193456888408, 0.16416832314158258,
-      0.18118238764797473,
-    ],
-    [
-      -0.11803398874989485, -0.19005193456888408, 0.24407996732228043,
-      -0.01425711993688009,
-    ],
-    [
-      -0.11803398874989485, -0.16677015520420585, -0.24722406402568378,
-      0.08346263385554731,
-    ],
-    [
-      -0.11803398874989485, -0.16677015520420585, -0.14261836374470646,
-      0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, -0.16677015520420585, -0.11792430764442696,
-      -0.23276513216129063,
-    ],
-    [
-      -0.11803398874989485, -0.16677015520420585, 0.05133127082717877,
-      -0.25583363680084636,
-    ],
-    [
-      -0.11803398874989485, -0.16677015520420585, 0.195892793198505,
-      0.17237100294529906,
-    ],
-    [
-      -0.11803398874989485, -0.16677015520420585, 0.26054267138913345,
-      0.01425711993688009,
-    ],
-    [
-      -0.11803398874989485, -0.12909944487358055, -0.26054267138913345,
-      -0.10653113849510304,
-    ],
-    [
-      -0.11803398874989485, -0.12909944487358055, 0.03801266346372914,
-      0.27890214144040215,
-    ],
-    [
-      -0.11803398874989485, -0.12909944487358055, 0.22253000792540428,
-      -0.17237100294529906,
-    ],
-    [
-      -0.11803398874989485, -0.09142873454295528, -0.27386127875258304,
-      -0.11197687372930748,
-    ],
-    [
-      -0.11803398874989485, -0.09142873454295528, 0.03995582209034891,
-      0.2931592613772822,
-    ],
-    [
-      -0.11803398874989485, -0.09142873454295528, 0.23390545666223417,
-      -0.18118238764797473,
-    ],
-    [
-      -0.11803398874989485, -0.007194465482973537, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      -0.11803398874989485, -0.007194465482973537, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      -0.11803398874989485, -0.007194465482973537, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      -0.11803398874989485, -0.007194465482973537, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      -0.11803398874989485, -0.007194465482973537, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      -0.11803398874989485, -0.007194465482973537, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      -0.11803398874989485, 0.007194465482973537, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      -0.11803398874989485, 0.007194465482973537, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      -0.11803398874989485, 0.007194465482973537, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      -0.11803398874989485, 0.007194465482973537, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      -0.11803398874989485, 0.007194465482973537, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      -0.11803398874989485, 0.007194465482973537, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      -0.11803398874989485, 0.09142873454295528, -0.23390545666223417,
-      0.18118238764797473,
-    ],
-    [
-      -0.11803398874989485, 0.09142873454295528, -0.03995582209034891,
-      -0.2931592613772822,
-    ],
-    [
-      -0.11803398874989485, 0.09142873454295528, 0.27386127875258304,
-      0.11197687372930748,
-    ],
-    [
-      -0.11803398874989485, 0.12909944487358055, -0.22253000792540428,
-      0.17237100294529906,
-    ],
-    [
-      -0.11803398874989485, 0.12909944487358055, -0.03801266346372914,
-      -0.27890214144040215,
-    ],
-    [
-      -0.11803398874989485, 0.12909944487358055, 0.26054267138913345,
-      0.10653113849510304,
-    ],
-    [
-      -0.11803398874989485, 0.16677015520420585, -0.26054267138913345,
-      -0.01425711993688009,
-    ],
-    [
-      -0.11803398874989485, 0.16677015520420585, -0.195892793198505,
-      -0.17237100294529906,
-    ],
-    [
-      -0.11803398874989485, 0.16677015520420585, -0.05133127082717877,
-      0.25583363680084636,
-    ],
-    [
-      -0.11803398874989485, 0.16677015520420585, 0.11792430764442696,
-      0.23276513216129063,
-    ],
-    [
-      -0.11803398874989485, 0.16677015520420585, 0.14261836374470646,
-      -0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, 0.16677015520420585, 0.24722406402568378,
-      -0.08346263385554731,
-    ],
-    [
-      -0.11803398874989485, 0.19005193456888408, -0.24407996732228043,
-      0.01425711993688009,
-    ],
-    [
-      -0.11803398874989485, 0.19005193456888408, -0.16416832314158258,
-      -0.18118238764797473,
-    ],
-    [
-      -0.11803398874989485, 0.19005193456888408, -0.07482438885067469,
-      0.23276513216129063,
-    ],
-    [
-      -0.11803398874989485, 0.19005193456888408, 0.10969295561100045,
-      -0.21850801222441052,
-    ],
-    [
-      -0.11803398874989485, 0.19005193456888408, 0.13438701171127998,
-      0.20425089228753046,
-    ],
-    [
-      -0.11803398874989485, 0.19005193456888408, 0.2389927119922573,
-      -0.05158274451331592,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, -0.10969295561100045,
-      -0.02306850463955574,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, -0.09443118962093106,
-      -0.06039412921599156,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, -0.005087255330023138,
-      0.11197687372930748,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, 0.03486856676032578,
-      0.10653113849510304,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, 0.07482438885067469,
-      -0.08346263385554731,
-    ],
-    [
-      -0.11803398874989485, 0.28867513459481287, 0.09951844495095419,
-      -0.05158274451331592,
-    ],
-    [
-      -0.10557280900008412, -0.2958696000777864, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      -0.10557280900008412, -0.2958696000777864, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, -0.2958696000777864, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, -0.2958696000777864, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, -0.2958696000777864, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, -0.2958696000777864, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      -0.10557280900008412, -0.28148066911183933, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      -0.10557280900008412, -0.28148066911183933, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, -0.28148066911183933, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, -0.28148066911183933, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      -0.10557280900008412, -0.28148066911183933, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [-0.10557280900008412, -0.28148066911183933, 0.1394742670413031, 0.0],
-    [
-      -0.10557280900008412, -0.22052817941653585, -0.22058684929878453,
-      0.03732562457643583,
-    ],
-    [
-      -0.10557280900008412, -0.22052817941653585, -0.1312429150078766,
-      -0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, -0.22052817941653585, -0.09128709291752768,
-      0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, -0.22052817941653585, 0.07796848555407804,
-      -0.2096966275217349,
-    ],
-    [
-      -0.10557280900008412, -0.22052817941653585, 0.14261836374470646,
-      0.17237100294529906,
-    ],
-    [
-      -0.10557280900008412, -0.22052817941653585, 0.22253000792540428,
-      -0.02306850463955574,
-    ],
-    [
-      -0.10557280900008412, -0.19724640005185762, -0.24407996732228043,
-      0.01425711993688009,
-    ],
-    [
-      -0.10557280900008412, -0.19724640005185762, -0.16416832314158258,
-      -0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, -0.19724640005185762, -0.07482438885067469,
-      0.23276513216129063,
-    ],
-    [
-      -0.10557280900008412, -0.19724640005185762, 0.10969295561100045,
-      -0.21850801222441052,
-    ],
-    [
-      -0.10557280900008412, -0.19724640005185762, 0.13438701171127998,
-      0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, -0.19724640005185762, 0.2389927119922573,
-      -0.05158274451331592,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, -0.25739857468573,
-      -0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, -0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, -0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, -0.17748693050503223,
-      0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, -0.08814299621412433,
-      -0.25583363680084636,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.056418526157201915,
-      0.264645021503522,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.20098004852852813,
-      -0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      -0.10557280900008412, -0.15957568972123232, 0.26562992671915653,
-      0.05158274451331592,
-    ],
-    [
-      -0.10557280900008412, -0.13629391035655408, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, -0.13629391035655408, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      -0.10557280900008412, -0.13629391035655408, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      -0.10557280900008412, -0.13629391035655408, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      -0.10557280900008412, -0.13629391035655408, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, -0.13629391035655408, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      -0.10557280900008412, -0.06095248969530351, -0.2922671414460558,
-      -0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, -0.06095248969530351, -0.27700537545598647,
-      -0.1350453783688632,
-    ],
-    [
-      -0.10557280900008412, -0.06095248969530351, 0.021549959396876137,
-      0.30741638131416227,
-    ],
-    [
-      -0.10557280900008412, -0.06095248969530351, 0.06150578148722505,
-      0.3019706460799578,
-    ],
-    [
-      -0.10557280900008412, -0.06095248969530351, 0.2307613599588308,
-      -0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, -0.06095248969530351, 0.25545541605911026,
-      -0.17237100294529906,
-    ],
-    [
-      -0.10557280900008412, -0.03767071033062529, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, -0.03767071033062529, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, -0.03767071033062529, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, -0.03767071033062529, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      -0.10557280900008412, -0.03767071033062529, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [-0.10557280900008412, -0.03767071033062529, 0.31187394221631215, 0.0],
-    [-0.10557280900008412, 0.0, -0.313817100842932, -0.01425711993688009],
-    [-0.10557280900008412, 0.0, -0.29855533485286256, 0.0977197537924274],
-    [-0.10557280900008412, 0.0, -0.23390545666223417, -0.2096966275217349],
-    [-0.10557280900008412, 0.0, -0.16925557847160572, 0.264645021503522],
-    [-0.10557280900008412, 0.0, -0.14456152237132625, -0.27890214144040215],
-    [-0.10557280900008412, 0.0, -0.06464987819062842, 0.30741638131416227],
-    [-0.10557280900008412, 0.0, 0.06464987819062842, -0.30741638131416227],
-    [-0.10557280900008412, 0.0, 0.14456152237132625, 0.27890214144040215],
-    [-0.10557280900008412, 0.0, 0.16925557847160572, -0.264645021503522],
-    [-0.10557280900008412, 0.0, 0.23390545666223417, 0.2096966275217349],
-    [-0.10557280900008412, 0.0, 0.29855533485286256, -0.0977197537924274],
-    [-0.10557280900008412, 0.0, 0.313817100842932, 0.01425711993688009],
-    [-0.10557280900008412, 0.03767071033062529, -0.31187394221631215, 0.0],
-    [
-      -0.10557280900008412, 0.03767071033062529, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      -0.10557280900008412, 0.03767071033062529, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      -0.10557280900008412, 0.03767071033062529, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, 0.03767071033062529, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, 0.03767071033062529, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, 0.06095248969530351, -0.25545541605911026,
-      0.17237100294529906,
-    ],
-    [
-      -0.10557280900008412, 0.06095248969530351, -0.2307613599588308,
-      0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, 0.06095248969530351, -0.06150578148722505,
-      -0.3019706460799578,
-    ],
-    [
-      -0.10557280900008412, 0.06095248969530351, -0.021549959396876137,
-      -0.30741638131416227,
-    ],
-    [
-      -0.10557280900008412, 0.06095248969530351, 0.27700537545598647,
-      0.1350453783688632,
-    ],
-    [
-      -0.10557280900008412, 0.06095248969530351, 0.2922671414460558,
-      0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, 0.13629391035655408, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      -0.10557280900008412, 0.13629391035655408, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, 0.13629391035655408, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      -0.10557280900008412, 0.13629391035655408, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      -0.10557280900008412, 0.13629391035655408, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      -0.10557280900008412, 0.13629391035655408, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.26562992671915653,
-      -0.05158274451331592,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.20098004852852813,
-      0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.056418526157201915,
-      -0.264645021503522,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, -0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, 0.08814299621412433,
-      0.25583363680084636,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, 0.17748693050503223,
-      -0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, 0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, 0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, 0.15957568972123232, 0.25739857468573,
-      0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, 0.19724640005185762, -0.2389927119922573,
-      0.05158274451331592,
-    ],
-    [
-      -0.10557280900008412, 0.19724640005185762, -0.13438701171127998,
-      -0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, 0.19724640005185762, -0.10969295561100045,
-      0.21850801222441052,
-    ],
-    [
-      -0.10557280900008412, 0.19724640005185762, 0.07482438885067469,
-      -0.23276513216129063,
-    ],
-    [
-      -0.10557280900008412, 0.19724640005185762, 0.16416832314158258,
-      0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, 0.19724640005185762, 0.24407996732228043,
-      -0.01425711993688009,
-    ],
-    [
-      -0.10557280900008412, 0.22052817941653585, -0.22253000792540428,
-      0.02306850463955574,
-    ],
-    [
-      -0.10557280900008412, 0.22052817941653585, -0.14261836374470646,
-      -0.17237100294529906,
-    ],
-    [
-      -0.10557280900008412, 0.22052817941653585, -0.07796848555407804,
-      0.2096966275217349,
-    ],
-    [
-      -0.10557280900008412, 0.22052817941653585, 0.09128709291752768,
-      -0.20425089228753046,
-    ],
-    [
-      -0.10557280900008412, 0.22052817941653585, 0.1312429150078766,
-      0.18118238764797473,
-    ],
-    [
-      -0.10557280900008412, 0.22052817941653585, 0.22058684929878453,
-      -0.03732562457643583,
-    ],
-    [-0.10557280900008412, 0.28148066911183933, -0.1394742670413031, 0.0],
-    [
-      -0.10557280900008412, 0.28148066911183933, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, 0.28148066911183933, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      -0.10557280900008412, 0.28148066911183933, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, 0.28148066911183933, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.10557280900008412, 0.28148066911183933, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      -0.10557280900008412, 0.2958696000777864, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      -0.10557280900008412, 0.2958696000777864, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, 0.2958696000777864, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, 0.2958696000777864, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      -0.10557280900008412, 0.2958696000777864, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      -0.10557280900008412, 0.2958696000777864, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, -0.08814299621412433,
-      -0.01425711993688009,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, -0.0728812302240549,
-      -0.05158274451331592,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, -0.008231352033426498,
-      0.08890836908975175,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, 0.031724470056922416,
-      0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, 0.056418526157201915,
-      -0.06920551391866722,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, 0.08111258225748141,
-      -0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, -0.1661114817682024,
-      0.04613700927911148,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, -0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, -0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, 0.04309991879375227,
-      -0.16692526771109462,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, 0.1230115629744501,
-      0.12078825843198313,
-    ],
-    [-0.08541019662496846, -0.2698397794295002, 0.1723996751750091, 0.0],
-    [
-      -0.08541019662496846, -0.24655800006482204, -0.19903688990190838,
-      0.04613700927911148,
-    ],
-    [
-      -0.08541019662496846, -0.24655800006482204, -0.10969295561100045,
-      -0.17237100294529906,
-    ],
-    [
-      -0.08541019662496846, -0.24655800006482204, -0.09443118962093106,
-      0.18118238764797473,
-    ],
-    [
-      -0.08541019662496846, -0.24655800006482204, 0.05956262286060528,
-      -0.1954395075848548,
-    ],
-    [
-      -0.08541019662496846, -0.24655800006482204, 0.1394742670413031,
-      0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, -0.24655800006482204, 0.2041241452319315,
-      -0.008811384702675652,
-    ],
-    [
-      -0.08541019662496846, -0.1856055103695185, -0.26054267138913345,
-      -0.01425711993688009,
-    ],
-    [
-      -0.08541019662496846, -0.1856055103695185, -0.195892793198505,
-      -0.17237100294529906,
-    ],
-    [
-      -0.08541019662496846, -0.1856055103695185, -0.05133127082717877,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.1856055103695185, 0.11792430764442696,
-      0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, -0.1856055103695185, 0.14261836374470646,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.1856055103695185, 0.24722406402568378,
-      -0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.26562992671915653,
-      -0.05158274451331592,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.20098004852852813,
-      0.18118238764797473,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.056418526157201915,
-      -0.264645021503522,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, -0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, 0.08814299621412433,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, 0.17748693050503223,
-      -0.20425089228753046,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, 0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, 0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, -0.17121657940357143, 0.25739857468573,
-      0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.28717988611603273,
-      0.08890836908975175,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.1578801297347759,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.14261836374470646,
-      -0.264645021503522,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.06659303681724818,
-      -0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.22058684929878453,
-      0.20425089228753046,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.3004984934794823,
-      0.008811384702675652,
-    ],
-    [
-      -0.08541019662496846, -0.07259337937764263, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, -0.07259337937764263, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, -0.07259337937764263, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, -0.07259337937764263, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      -0.08541019662496846, -0.07259337937764263, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [-0.08541019662496846, -0.07259337937764263, 0.31187394221631215, 0.0],
-    [
-      -0.08541019662496846, -0.049311600012964404, -0.30872984551290883,
-      -0.06920551391866722,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, -0.26877402342255996,
-      -0.16692526771109462,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, -0.010174510660046276,
-      0.3162277660168379,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, 0.09443118962093106,
-      0.3019706460799578,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, 0.21429865589197777,
-      -0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, 0.2789485340826062,
-      -0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, -0.026029820648286184, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.026029820648286184, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.08541019662496846, -0.026029820648286184, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.08541019662496846, -0.026029820648286184, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, -0.026029820648286184, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.026029820648286184, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, 0.026029820648286184, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, 0.026029820648286184, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.026029820648286184, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, 0.026029820648286184, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.08541019662496846, 0.026029820648286184, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.08541019662496846, 0.026029820648286184, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, -0.2789485340826062,
-      0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, -0.21429865589197777,
-      0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, -0.09443118962093106,
-      -0.3019706460799578,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, 0.010174510660046276,
-      -0.3162277660168379,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, 0.26877402342255996,
-      0.16692526771109462,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, 0.30872984551290883,
-      0.06920551391866722,
-    ],
-    [-0.08541019662496846, 0.07259337937764263, -0.31187394221631215, 0.0],
-    [
-      -0.08541019662496846, 0.07259337937764263, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.07259337937764263, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      -0.08541019662496846, 0.07259337937764263, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, 0.07259337937764263, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, 0.07259337937764263, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.3004984934794823,
-      -0.008811384702675652,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.22058684929878453,
-      -0.20425089228753046,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.06659303681724818,
-      0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.14261836374470646,
-      0.264645021503522,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.1578801297347759,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.28717988611603273,
-      -0.08890836908975175,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, -0.25739857468573,
-      -0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, -0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, -0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, -0.17748693050503223,
-      0.20425089228753046,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, -0.08814299621412433,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.056418526157201915,
-      0.264645021503522,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.20098004852852813,
-      -0.18118238764797473,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, 0.17121657940357143, 0.26562992671915653,
-      0.05158274451331592,
-    ],
-    [
-      -0.08541019662496846, 0.1856055103695185, -0.24722406402568378,
-      0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, 0.1856055103695185, -0.14261836374470646,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.1856055103695185, -0.11792430764442696,
-      -0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, 0.1856055103695185, 0.05133127082717877,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.1856055103695185, 0.195892793198505,
-      0.17237100294529906,
-    ],
-    [
-      -0.08541019662496846, 0.1856055103695185, 0.26054267138913345,
-      0.01425711993688009,
-    ],
-    [
-      -0.08541019662496846, 0.24655800006482204, -0.2041241452319315,
-      0.008811384702675652,
-    ],
-    [
-      -0.08541019662496846, 0.24655800006482204, -0.1394742670413031,
-      -0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, 0.24655800006482204, -0.05956262286060528,
-      0.1954395075848548,
-    ],
-    [
-      -0.08541019662496846, 0.24655800006482204, 0.09443118962093106,
-      -0.18118238764797473,
-    ],
-    [
-      -0.08541019662496846, 0.24655800006482204, 0.10969295561100045,
-      0.17237100294529906,
-    ],
-    [
-      -0.08541019662496846, 0.24655800006482204, 0.19903688990190838,
-      -0.04613700927911148,
-    ],
-    [-0.08541019662496846, 0.2698397794295002, -0.1723996751750091, 0.0],
-    [
-      -0.08541019662496846, 0.2698397794295002, -0.1230115629744501,
-      -0.12078825843198313,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, -0.04309991879375227,
-      0.16692526771109462,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, 0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, 0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, 0.1661114817682024,
-      -0.04613700927911148,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, -0.08111258225748141,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, -0.056418526157201915,
-      0.06920551391866722,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, -0.031724470056922416,
-      -0.08346263385554731,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, 0.008231352033426498,
-      -0.08890836908975175,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, 0.0728812302240549,
-      0.05158274451331592,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, 0.08814299621412433,
-      0.01425711993688009,
-    ],
-    [
-      -0.06524758424985279, -0.31915137944246463, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, -0.31915137944246463, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.06524758424985279, -0.31915137944246463, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      -0.06524758424985279, -0.2581988897471611, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      -0.06524758424985279, -0.2581988897471611, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      -0.06524758424985279, -0.2581988897471611, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      -0.06524758424985279, -0.2581988897471611, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      -0.06524758424985279, -0.2581988897471611, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      -0.06524758424985279, -0.2581988897471611, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, -0.19724640005185762, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.06524758424985279, -0.19724640005185762, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, -0.19724640005185762, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.06524758424985279, -0.15957568972123232, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, -0.15957568972123232, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      -0.06524758424985279, -0.15957568972123232, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      -0.06524758424985279, -0.15957568972123232, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, -0.15957568972123232, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      -0.06524758424985279, -0.15957568972123232, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      -0.06524758424985279, -0.09862320002592881, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      -0.06524758424985279, -0.09862320002592881, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, -0.09862320002592881, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      -0.06524758424985279, -0.09862320002592881, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      -0.06524758424985279, -0.09862320002592881, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      -0.06524758424985279, -0.09862320002592881, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, -0.06095248969530351, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      -0.06524758424985279, -0.06095248969530351, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.06524758424985279, -0.06095248969530351, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.06524758424985279, -0.06095248969530351, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      -0.06524758424985279, -0.06095248969530351, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, -0.06095248969530351, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.06524758424985279, 0.06095248969530351, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.06524758424985279, 0.06095248969530351, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, 0.06095248969530351, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      -0.06524758424985279, 0.06095248969530351, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.06524758424985279, 0.06095248969530351, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.06524758424985279, 0.06095248969530351, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      -0.06524758424985279, 0.09862320002592881, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, 0.09862320002592881, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      -0.06524758424985279, 0.09862320002592881, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      -0.06524758424985279, 0.09862320002592881, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      -0.06524758424985279, 0.09862320002592881, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, 0.09862320002592881, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      -0.06524758424985279, 0.15957568972123232, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      -0.06524758424985279, 0.15957568972123232, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      -0.06524758424985279, 0.15957568972123232, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, 0.15957568972123232, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      -0.06524758424985279, 0.15957568972123232, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      -0.06524758424985279, 0.15957568972123232, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, 0.19724640005185762, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.06524758424985279, 0.19724640005185762, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.06524758424985279, 0.19724640005185762, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.06524758424985279, 0.2581988897471611, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      -0.06524758424985279, 0.2581988897471611, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      -0.06524758424985279, 0.2581988897471611, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      -0.06524758424985279, 0.2581988897471611, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      -0.06524758424985279, 0.2581988897471611, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      -0.06524758424985279, 0.2581988897471611, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      -0.06524758424985279, 0.31915137944246463, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.06524758424985279, 0.31915137944246463, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.06524758424985279, 0.31915137944246463, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.05278640450004206, -0.32634584492543817, -0.021549959396876137,
-      -0.008811384702675652,
-    ],
-    [
-      -0.05278640450004206, -0.32634584492543817, 0.0031440967034033623,
-      0.02306850463955574,
-    ],
-    [
-      -0.05278640450004206, -0.32634584492543817, 0.018405862693472774,
-      -0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, -0.3119569139594911, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, -0.3119569139594911, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, -0.3119569139594911, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, -0.26539335523013463, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, -0.26539335523013463, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.26539335523013463, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      -0.05278640450004206, -0.26539335523013463, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      -0.05278640450004206, -0.26539335523013463, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, -0.26539335523013463, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, -0.25100442426418756, -0.17748693050503223,
-      0.11197687372930748,
-    ],
-    [
-      -0.05278640450004206, -0.25100442426418756, -0.15279287440475275,
-      0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, -0.25100442426418756, -0.048187174123775406,
-      -0.20425089228753046,
-    ],
-    [
-      -0.05278640450004206, -0.25100442426418756, -0.008231352033426498,
-      -0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, -0.25100442426418756, 0.18571828253845873,
-      0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, -0.25100442426418756, 0.20098004852852813,
-      0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, -0.18571828253845873,
-      0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, -0.031724470056922416,
-      -0.23276513216129063,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, 0.21744275259538115,
-      0.08890836908975175,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, -0.26368676809253677,
-      -0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, -0.21429865589197777,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, -0.02978131143030264,
-      0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, 0.09951844495095419,
-      0.2470222520981707,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, 0.16416832314158258,
-      -0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, 0.24407996732228043,
-      -0.10653113849510304,
-    ],
-    [
-      -0.05278640450004206, -0.16677015520420585, -0.22253000792540428,
-      0.17237100294529906,
-    ],
-    [
-      -0.05278640450004206, -0.16677015520420585, -0.03801266346372914,
-      -0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, -0.16677015520420585, 0.26054267138913345,
-      0.10653113849510304,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.3004984934794823,
-      -0.008811384702675652,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.22058684929878453,
-      -0.20425089228753046,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.06659303681724818,
-      0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.14261836374470646,
-      0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.1578801297347759,
-      -0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.28717988611603273,
-      -0.08890836908975175,
-    ],
-    [
-      -0.05278640450004206, -0.10581766550890234, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      -0.05278640450004206, -0.10581766550890234, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      -0.05278640450004206, -0.10581766550890234, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, -0.10581766550890234, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, -0.10581766550890234, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, -0.10581766550890234, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, -0.313817100842932,
-      -0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, -0.29855533485286256,
-      0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, -0.23390545666223417,
-      -0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, -0.16925557847160572,
-      0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, -0.14456152237132625,
-      -0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, -0.06464987819062842,
-      0.30741638131416227,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, 0.06464987819062842,
-      -0.30741638131416227,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, 0.14456152237132625,
-      0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, 0.16925557847160572,
-      -0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, 0.23390545666223417,
-      0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, 0.29855533485286256,
-      -0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, -0.09142873454295528, 0.313817100842932,
-      0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.32010529424973866,
-      -0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.2707171820491797,
-      -0.18118238764797473,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.021549959396876137,
-      0.3250391507195136,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.10774979698438068,
-      0.30741638131416227,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.21235549726535802,
-      -0.2470222520981707,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.2922671414460558,
-      -0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.2922671414460558,
-      0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.21235549726535802,
-      0.2470222520981707,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.10774979698438068,
-      -0.30741638131416227,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.021549959396876137,
-      -0.3250391507195136,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.2707171820491797,
-      0.18118238764797473,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.32010529424973866,
-      0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, -0.313817100842932,
-      -0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, -0.29855533485286256,
-      0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, -0.23390545666223417,
-      -0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, -0.16925557847160572,
-      0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, -0.14456152237132625,
-      -0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, -0.06464987819062842,
-      0.30741638131416227,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, 0.06464987819062842,
-      -0.30741638131416227,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, 0.14456152237132625,
-      0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, 0.16925557847160572,
-      -0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, 0.23390545666223417,
-      0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, 0.29855533485286256,
-      -0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, 0.09142873454295528, 0.313817100842932,
-      0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, 0.10581766550890234, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, 0.10581766550890234, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, 0.10581766550890234, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, 0.10581766550890234, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, 0.10581766550890234, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      -0.05278640450004206, 0.10581766550890234, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.28717988611603273,
-      0.08890836908975175,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.1578801297347759,
-      0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.14261836374470646,
-      -0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.06659303681724818,
-      -0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.22058684929878453,
-      0.20425089228753046,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.3004984934794823,
-      0.008811384702675652,
-    ],
-    [
-      -0.05278640450004206, 0.16677015520420585, -0.26054267138913345,
-      -0.10653113849510304,
-    ],
-    [
-      -0.05278640450004206, 0.16677015520420585, 0.03801266346372914,
-      0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, 0.16677015520420585, 0.22253000792540428,
-      -0.17237100294529906,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, -0.24407996732228043,
-      0.10653113849510304,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, -0.16416832314158258,
-      0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, -0.09951844495095419,
-      -0.2470222520981707,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, 0.02978131143030264,
-      -0.264645021503522,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, 0.21429865589197777,
-      0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, 0.26368676809253677,
-      0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, -0.21744275259538115,
-      -0.08890836908975175,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, 0.031724470056922416,
-      0.23276513216129063,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, 0.18571828253845873,
-      -0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, 0.25100442426418756, -0.20098004852852813,
-      -0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, 0.25100442426418756, -0.18571828253845873,
-      -0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, 0.25100442426418756, 0.008231352033426498,
-      0.2096966275217349,
-    ],
-    [
-      -0.05278640450004206, 0.25100442426418756, 0.048187174123775406,
-      0.20425089228753046,
-    ],
-    [
-      -0.05278640450004206, 0.25100442426418756, 0.15279287440475275,
-      -0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, 0.25100442426418756, 0.17748693050503223,
-      -0.11197687372930748,
-    ],
-    [
-      -0.05278640450004206, 0.26539335523013463, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, 0.26539335523013463, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      -0.05278640450004206, 0.26539335523013463, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      -0.05278640450004206, 0.26539335523013463, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      -0.05278640450004206, 0.26539335523013463, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, 0.26539335523013463, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, 0.3119569139594911, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, 0.3119569139594911, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, 0.3119569139594911, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, 0.32634584492543817, -0.018405862693472774,
-      0.01425711993688009,
-    ],
-    [
-      -0.05278640450004206, 0.32634584492543817, -0.0031440967034033623,
-      -0.02306850463955574,
-    ],
-    [
-      -0.05278640450004206, 0.32634584492543817, 0.021549959396876137,
-      0.008811384702675652,
-    ],
-    [-0.020162612375115664, -0.33079226912480375, 0.0, 0.0],
-    [
-      -0.020162612375115664, -0.3075104897601255, -0.11283705231440383,
-      -0.04613700927911148,
-    ],
-    [
-      -0.020162612375115664, -0.3075104897601255, 0.016462704066852997,
-      0.12078825843198313,
-    ],
-    [
-      -0.020162612375115664, -0.3075104897601255, 0.09637434824755081,
-      -0.07465124915287166,
-    ],
-    [
-      -0.020162612375115664, -0.2698397794295002, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      -0.020162612375115664, -0.2698397794295002, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      -0.020162612375115664, -0.2698397794295002, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      -0.020162612375115664, -0.2698397794295002, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      -0.020162612375115664, -0.2698397794295002, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      -0.020162612375115664, -0.2698397794295002, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      -0.020162612375115664, -0.24655800006482204, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      -0.020162612375115664, -0.24655800006482204, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      -0.020162612375115664, -0.24655800006482204, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      -0.020162612375115664, -0.20888728973419673, -0.25231131935570694,
-      -0.04613700927911148,
-    ],
-    [
-      -0.020162612375115664, -0.20888728973419673, -0.21235549726535802,
-      -0.14385676307153888,
-    ],
-    [
-      -0.020162612375115664, -0.20888728973419673, -0.018405862693472774,
-      0.25583363680084636,
-    ],
-    [
-      -0.020162612375115664, -0.20888728973419673, 0.08619983758750455,
-      0.24157651686396625,
-    ],
-    [
-      -0.020162612375115664, -0.20888728973419673, 0.1661114817682024,
-      -0.1954395075848548,
-    ],
-    [
-      -0.020162612375115664, -0.20888728973419673, 0.2307613599588308,
-      -0.11197687372930748,
-    ],
-    [
-      -0.020162612375115664, -0.1479348000388932, -0.23390545666223417,
-      0.18118238764797473,
-    ],
-    [
-      -0.020162612375115664, -0.1479348000388932, -0.03995582209034891,
-      -0.2931592613772822,
-    ],
-    [
-      -0.020162612375115664, -0.1479348000388932, 0.27386127875258304,
-      0.11197687372930748,
-    ],
-    [-0.020162612375115664, -0.11026408970826793, -0.31187394221631215, 0.0],
-    [
-      -0.020162612375115664, -0.11026408970826793, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      -0.020162612375115664, -0.11026408970826793, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      -0.020162612375115664, -0.11026408970826793, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.020162612375115664, -0.11026408970826793, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.020162612375115664, -0.11026408970826793, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      -0.020162612375115664, -0.08698231034358969, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.020162612375115664, -0.08698231034358969, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      -0.020162612375115664, -0.08698231034358969, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      -0.020162612375115664, -0.08698231034358969, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.020162612375115664, -0.08698231034358969, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.020162612375115664, -0.08698231034358969, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      -0.020162612375115664, -0.01164088968233911, -0.3220484528763584,
-      -0.07465124915287166,
-    ],
-    [
-      -0.020162612375115664, -0.01164088968233911, -0.28209263078600955,
-      -0.17237100294529906,
-    ],
-    [
-      -0.020162612375115664, -0.01164088968233911, -0.008231352033426498,
-      0.33048488595371805,
-    ],
-    [
-      -0.020162612375115664, -0.01164088968233911, 0.09637434824755081,
-      0.3162277660168379,
-    ],
-    [
-      -0.020162612375115664, -0.01164088968233911, 0.22567410462880766,
-      -0.24157651686396625,
-    ],
-    [
-      -0.020162612375115664, -0.01164088968233911, 0.29032398281943606,
-      -0.15811388300841894,
-    ],
-    [
-      -0.020162612375115664, 0.01164088968233911, -0.29032398281943606,
-      0.15811388300841894,
-    ],
-    [
-      -0.020162612375115664, 0.01164088968233911, -0.22567410462880766,
-      0.24157651686396625,
-    ],
-    [
-      -0.020162612375115664, 0.01164088968233911, -0.09637434824755081,
-      -0.3162277660168379,
-    ],
-    [
-      -0.020162612375115664, 0.01164088968233911, 0.008231352033426498,
-      -0.33048488595371805,
-    ],
-    [
-      -0.020162612375115664, 0.01164088968233911, 0.28209263078600955,
-      0.17237100294529906,
-    ],
-    [
-      -0.020162612375115664, 0.01164088968233911, 0.3220484528763584,
-      0.07465124915287166,
-    ],
-    [
-      -0.020162612375115664, 0.08698231034358969, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      -0.020162612375115664, 0.08698231034358969, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.020162612375115664, 0.08698231034358969, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.020162612375115664, 0.08698231034358969, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      -0.020162612375115664, 0.08698231034358969, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      -0.020162612375115664, 0.08698231034358969, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.020162612375115664, 0.11026408970826793, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      -0.020162612375115664, 0.11026408970826793, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      -0.020162612375115664, 0.11026408970826793, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      -0.020162612375115664, 0.11026408970826793, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      -0.020162612375115664, 0.11026408970826793, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [-0.020162612375115664, 0.11026408970826793, 0.31187394221631215, 0.0],
-    [
-      -0.020162612375115664, 0.1479348000388932, -0.27386127875258304,
-      -0.11197687372930748,
-    ],
-    [
-      -0.020162612375115664, 0.1479348000388932, 0.03995582209034891,
-      0.2931592613772822,
-    ],
-    [
-      -0.020162612375115664, 0.1479348000388932, 0.23390545666223417,
-      -0.18118238764797473,
-    ],
-    [
-      -0.020162612375115664, 0.20888728973419673, -0.2307613599588308,
-      0.11197687372930748,
-    ],
-    [
-      -0.020162612375115664, 0.20888728973419673, -0.1661114817682024,
-      0.1954395075848548,
-    ],
-    [
-      -0.020162612375115664, 0.20888728973419673, -0.08619983758750455,
-      -0.24157651686396625,
-    ],
-    [
-      -0.020162612375115664, 0.20888728973419673, 0.018405862693472774,
-      -0.25583363680084636,
-    ],
-    [
-      -0.020162612375115664, 0.20888728973419673, 0.21235549726535802,
-      0.14385676307153888,
-    ],
-    [
-      -0.020162612375115664, 0.20888728973419673, 0.25231131935570694,
-      0.04613700927911148,
-    ],
-    [
-      -0.020162612375115664, 0.24655800006482204, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      -0.020162612375115664, 0.24655800006482204, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      -0.020162612375115664, 0.24655800006482204, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      -0.020162612375115664, 0.2698397794295002, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      -0.020162612375115664, 0.2698397794295002, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      -0.020162612375115664, 0.2698397794295002, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      -0.020162612375115664, 0.2698397794295002, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      -0.020162612375115664, 0.2698397794295002, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      -0.020162612375115664, 0.2698397794295002, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      -0.020162612375115664, 0.3075104897601255, -0.09637434824755081,
-      0.07465124915287166,
-    ],
-    [
-      -0.020162612375115664, 0.3075104897601255, -0.016462704066852997,
-      -0.12078825843198313,
-    ],
-    [
-      -0.020162612375115664, 0.3075104897601255, 0.11283705231440383,
-      0.04613700927911148,
-    ],
-    [-0.020162612375115664, 0.33079226912480375, 0.0, 0.0],
-    [0.0, -0.2958696000777864, -0.14456152237132625, -0.03732562457643583],
-    [0.0, -0.2958696000777864, -0.12929975638125685, -0.07465124915287166],
-    [0.0, -0.2958696000777864, 0.0, 0.14930249830574333],
-    [0.0, -0.2958696000777864, 0.03995582209034891, 0.14385676307153888],
-    [0.0, -0.2958696000777864, 0.10460570028097732, -0.10653113849510304],
-    [0.0, -0.2958696000777864, 0.12929975638125685, -0.07465124915287166],
-    [0.0, -0.28148066911183933, -0.17434283380162885, -0.01425711993688009],
-    [0.0, -0.28148066911183933, -0.13438701171127998, -0.11197687372930748],
-    [0.0, -0.28148066911183933, -0.02978131143030264, 0.17237100294529906],
-    [0.0, -0.28148066911183933, 0.07482438885067469, 0.15811388300841894],
-    [0.0, -0.28148066911183933, 0.09951844495095419, -0.14385676307153888],
-    [0.0, -0.28148066911183933, 0.16416832314158258, -0.06039412921599156],
-    [0.0, -0.2581988897471611, -0.20726824193533488, -0.01425711993688009],
-    [0.0, -0.2581988897471611, -0.1578801297347759, -0.1350453783688632],
-    [0.0, -0.2581988897471611, -0.03801266346372914, 0.20425089228753046],
-    [0.0, -0.2581988897471611, 0.09128709291752768, 0.18662812288217914],
-    [0.0, -0.2581988897471611, 0.11598114901780718, -0.17237100294529906],
-    [0.0, -0.2581988897471611, 0.195892793198505, -0.06920551391866722],
-    [0.0, -0.23491711038248292, -0.2307613599588308, -0.03732562457643583],
-    [0.0, -0.23491711038248292, -0.19080553786848187, -0.1350453783688632],
-    [0.0, -0.23491711038248292, -0.021549959396876137, 0.23276513216129063],
-    [0.0, -0.23491711038248292, 0.0830557408841012, 0.21850801222441052],
-    [0.0, -0.23491711038248292, 0.14770561907472962, -0.18118238764797473],
-    [0.0, -0.23491711038248292, 0.21235549726535802, -0.0977197537924274],
-    [0.0, -0.22052817941653585, -0.23584861528885392, -0.07465124915287166],
-    [0.0, -0.22052817941653585, -0.22058684929878453, -0.11197687372930748],
-    [0.0, -0.22052817941653585, 0.013318607363449638, 0.2470222520981707],
-    [0.0, -0.22052817941653585, 0.05327442945379855, 0.24157651686396625],
-    [0.0, -0.22052817941653585, 0.18257418583505536, -0.16692526771109462],
-    [0.0, -0.22052817941653585, 0.20726824193533488, -0.1350453783688632],
-    [0.0, -0.12190497939060702, -0.25545541605911026, 0.17237100294529906],
-    [0.0, -0.12190497939060702, -0.2307613599588308, 0.20425089228753046],
-    [0.0, -0.12190497939060702, -0.06150578148722505, -0.3019706460799578],
-    [0.0, -0.12190497939060702, -0.021549959396876137, -0.30741638131416227],
-    [0.0, -0.12190497939060702, 0.27700537545598647, 0.1350453783688632],
-    [0.0, -0.12190497939060702, 0.2922671414460558, 0.0977197537924274],
-    [0.0, -0.09862320002592881, -0.2789485340826062, 0.14930249830574333],
-    [0.0, -0.09862320002592881, -0.21429865589197777, 0.23276513216129063],
-    [0.0, -0.09862320002592881, -0.09443118962093106, -0.3019706460799578],
-    [0.0, -0.09862320002592881, 0.010174510660046276, -0.3162277660168379],
-    [0.0, -0.09862320002592881, 0.26877402342255996, 0.16692526771109462],
-    [0.0, -0.09862320002592881, 0.30872984551290883, 0.06920551391866722],
-    [0.0, -0.06095248969530351, -0.2922671414460558, 0.14385676307153888],
-    [0.0, -0.06095248969530351, -0.21235549726535802, 0.2470222520981707],
-    [0.0, -0.06095248969530351, -0.10774979698438068, -0.30741638131416227],
-    [0.0, -0.06095248969530351, 0.021549959396876137, -0.3250391507195136],
-    [0.0, -0.06095248969530351, 0.2707171820491797, 0.18118238764797473],
-    [0.0, -0.06095248969530351, 0.32010529424973866, 0.06039412921599156],
-    [0.0, -0.02328177936467822, -0.29032398281943606, 0.15811388300841894],
-    [0.0, -0.02328177936467822, -0.22567410462880766, 0.24157651686396625],
-    [0.0, -0.02328177936467822, -0.09637434824755081, -0.3162277660168379],
-    [0.0, -0.02328177936467822, 0.008231352033426498, -0.33048488595371805],
-    [0.0, -0.02328177936467822, 0.28209263078600955, 0.17237100294529906],
-    [0.0, -0.02328177936467822, 0.3220484528763584, 0.07465124915287166],
-    [0.0, 0.0, -0.313817100842932, -0.10653113849510304],
-    [0.0, 0.0, -0.29855533485286256, -0.14385676307153888],
-    [0.0, 0.0, -0.27386127875258304, 0.18662812288217914],
-    [0.0, 0.0, -0.24916722265230357, 0.21850801222441052],
-    [0.0, 0.0, -0.06464987819062842, -0.3250391507195136],
-    [0.0, 0.0, -0.0246940561002795, -0.33048488595371805],
-    [0.0, 0.0, 0.0246940561002795, 0.33048488595371805],
-    [0.0, 0.0, 0.06464987819062842, 0.3250391507195136],
-    [0.0, 0.0, 0.24916722265230357, -0.21850801222441052],
-    [0.0, 0.0, 0.27386127875258304, -0.18662812288217914],
-    [0.0, 0.0, 0.29855533485286256, 0.14385676307153888],
-    [0.0, 0.0, 0.313817100842932, 0.10653113849510304],
-    [0.0, 0.02328177936467822, -0.3220484528763584, -0.07465124915287166],
-    [0.0, 0.02328177936467822, -0.28209263078600955, -0.17237100294529906],
-    [0.0, 0.02328177936467822, -0.008231352033426498, 0.33048488595371805],
-    [0.0, 0.02328177936467822, 0.09637434824755081, 0.3162277660168379],
-    [0.0, 0.02328177936467822, 0.22567410462880766, -0.24157651686396625],
-    [0.0, 0.02328177936467822, 0.29032398281943606, -0.15811388300841894],
-    [0.0, 0.06095248969530351, -0.32010529424973866, -0.06039412921599156],
-    [0.0, 0.06095248969530351, -0.2707171820491797, -0.18118238764797473],
-    [0.0, 0.06095248969530351, -0.021549959396876137, 0.3250391507195136],
-    [0.0, 0.06095248969530351, 0.10774979698438068, 0.30741638131416227],
-    [0.0, 0.06095248969530351, 0.21235549726535802, -0.2470222520981707],
-    [0.0, 0.06095248969530351, 0.2922671414460558, -0.14385676307153888],
-    [0.0, 0.09862320002592881, -0.30872984551290883, -0.06920551391866722],
-    [0.0, 0.09862320002592881, -0.26877402342255996, -0.16692526771109462],
-    [0.0, 0.09862320002592881, -0.010174510660046276, 0.3162277660168379],
-    [0.0, 0.09862320002592881, 0.09443118962093106, 0.3019706460799578],
-    [0.0, 0.09862320002592881, 0.21429865589197777, -0.23276513216129063],
-    [0.0, 0.09862320002592881, 0.2789485340826062, -0.14930249830574333],
-    [0.0, 0.12190497939060702, -0.2922671414460558, -0.0977197537924274],
-    [0.0, 0.12190497939060702, -0.27700537545598647, -0.1350453783688632],
-    [0.0, 0.12190497939060702, 0.021549959396876137, 0.30741638131416227],
-    [0.0, 0.12190497939060702, 0.06150578148722505, 0.3019706460799578],
-    [0.0, 0.12190497939060702, 0.2307613599588308, -0.20425089228753046],
-    [0.0, 0.12190497939060702, 0.25545541605911026, -0.17237100294529906],
-    [0.0, 0.22052817941653585, -0.20726824193533488, 0.1350453783688632],
-    [0.0, 0.22052817941653585, -0.18257418583505536, 0.16692526771109462],
-    [0.0, 0.22052817941653585, -0.05327442945379855, -0.24157651686396625],
-    [0.0, 0.22052817941653585, -0.013318607363449638, -0.2470222520981707],
-    [0.0, 0.22052817941653585, 0.22058684929878453, 0.11197687372930748],
-    [0.0, 0.22052817941653585, 0.23584861528885392, 0.07465124915287166],
-    [0.0, 0.23491711038248292, -0.21235549726535802, 0.0977197537924274],
-    [0.0, 0.23491711038248292, -0.14770561907472962, 0.18118238764797473],
-    [0.0, 0.23491711038248292, -0.0830557408841012, -0.21850801222441052],
-    [0.0, 0.23491711038248292, 0.021549959396876137, -0.23276513216129063],
-    [0.0, 0.23491711038248292, 0.19080553786848187, 0.1350453783688632],
-    [0.0, 0.23491711038248292, 0.2307613599588308, 0.03732562457643583],
-    [0.0, 0.2581988897471611, -0.195892793198505, 0.06920551391866722],
-    [0.0, 0.2581988897471611, -0.11598114901780718, 0.17237100294529906],
-    [0.0, 0.2581988897471611, -0.09128709291752768, -0.18662812288217914],
-    [0.0, 0.2581988897471611, 0.03801266346372914, -0.20425089228753046],
-    [0.0, 0.2581988897471611, 0.1578801297347759, 0.1350453783688632],
-    [0.0, 0.2581988897471611, 0.20726824193533488, 0.01425711993688009],
-    [0.0, 0.28148066911183933, -0.16416832314158258, 0.06039412921599156],
-    [0.0, 0.28148066911183933, -0.09951844495095419, 0.14385676307153888],
-    [0.0, 0.28148066911183933, -0.07482438885067469, -0.15811388300841894],
-    [0.0, 0.28148066911183933, 0.02978131143030264, -0.17237100294529906],
-    [0.0, 0.28148066911183933, 0.13438701171127998, 0.11197687372930748],
-    [0.0, 0.28148066911183933, 0.17434283380162885, 0.01425711993688009],
-    [0.0, 0.2958696000777864, -0.12929975638125685, 0.07465124915287166],
-    [0.0, 0.2958696000777864, -0.10460570028097732, 0.10653113849510304],
-    [0.0, 0.2958696000777864, -0.03995582209034891, -0.14385676307153888],
-    [0.0, 0.2958696000777864, 0.0, -0.14930249830574333],
-    [0.0, 0.2958696000777864, 0.12929975638125685, 0.07465124915287166],
-    [0.0, 0.2958696000777864, 0.14456152237132625, 0.03732562457643583],
-    [0.020162612375115664, -0.33079226912480375, 0.0, 0.0],
-    [
-      0.020162612375115664, -0.3075104897601255, -0.11283705231440383,
-      -0.04613700927911148,
-    ],
-    [
-      0.020162612375115664, -0.3075104897601255, 0.016462704066852997,
-      0.12078825843198313,
-    ],
-    [
-      0.020162612375115664, -0.3075104897601255, 0.09637434824755081,
-      -0.07465124915287166,
-    ],
-    [
-      0.020162612375115664, -0.2698397794295002, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      0.020162612375115664, -0.2698397794295002, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      0.020162612375115664, -0.2698397794295002, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      0.020162612375115664, -0.2698397794295002, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      0.020162612375115664, -0.2698397794295002, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      0.020162612375115664, -0.2698397794295002, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      0.020162612375115664, -0.24655800006482204, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      0.020162612375115664, -0.24655800006482204, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      0.020162612375115664, -0.24655800006482204, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      0.020162612375115664, -0.20888728973419673, -0.25231131935570694,
-      -0.04613700927911148,
-    ],
-    [
-      0.020162612375115664, -0.20888728973419673, -0.21235549726535802,
-      -0.14385676307153888,
-    ],
-    [
-      0.020162612375115664, -0.20888728973419673, -0.018405862693472774,
-      0.25583363680084636,
-    ],
-    [
-      0.020162612375115664, -0.20888728973419673, 0.08619983758750455,
-      0.24157651686396625,
-    ],
-    [
-      0.020162612375115664, -0.20888728973419673, 0.1661114817682024,
-      -0.1954395075848548,
-    ],
-    [
-      0.020162612375115664, -0.20888728973419673, 0.2307613599588308,
-      -0.11197687372930748,
-    ],
-    [
-      0.020162612375115664, -0.1479348000388932, -0.23390545666223417,
-      0.18118238764797473,
-    ],
-    [
-      0.020162612375115664, -0.1479348000388932, -0.03995582209034891,
-      -0.2931592613772822,
-    ],
-    [
-      0.020162612375115664, -0.1479348000388932, 0.27386127875258304,
-      0.11197687372930748,
-    ],
-    [0.020162612375115664, -0.11026408970826793, -0.31187394221631215, 0.0],
-    [
-      0.020162612375115664, -0.11026408970826793, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      0.020162612375115664, -0.11026408970826793, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      0.020162612375115664, -0.11026408970826793, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.020162612375115664, -0.11026408970826793, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.020162612375115664, -0.11026408970826793, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      0.020162612375115664, -0.08698231034358969, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.020162612375115664, -0.08698231034358969, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      0.020162612375115664, -0.08698231034358969, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      0.020162612375115664, -0.08698231034358969, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.020162612375115664, -0.08698231034358969, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.020162612375115664, -0.08698231034358969, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      0.020162612375115664, -0.01164088968233911, -0.3220484528763584,
-      -0.07465124915287166,
-    ],
-    [
-      0.020162612375115664, -0.01164088968233911, -0.28209263078600955,
-      -0.17237100294529906,
-    ],
-    [
-      0.020162612375115664, -0.01164088968233911, -0.008231352033426498,
-      0.33048488595371805,
-    ],
-    [
-      0.020162612375115664, -0.01164088968233911, 0.09637434824755081,
-      0.3162277660168379,
-    ],
-    [
-      0.020162612375115664, -0.01164088968233911, 0.22567410462880766,
-      -0.24157651686396625,
-    ],
-    [
-      0.020162612375115664, -0.01164088968233911, 0.29032398281943606,
-      -0.15811388300841894,
-    ],
-    [
-      0.020162612375115664, 0.01164088968233911, -0.29032398281943606,
-      0.15811388300841894,
-    ],
-    [
-      0.020162612375115664, 0.01164088968233911, -0.22567410462880766,
-      0.24157651686396625,
-    ],
-    [
-      0.020162612375115664, 0.01164088968233911, -0.09637434824755081,
-      -0.3162277660168379,
-    ],
-    [
-      0.020162612375115664, 0.01164088968233911, 0.008231352033426498,
-      -0.33048488595371805,
-    ],
-    [
-      0.020162612375115664, 0.01164088968233911, 0.28209263078600955,
-      0.17237100294529906,
-    ],
-    [
-      0.020162612375115664, 0.01164088968233911, 0.3220484528763584,
-      0.07465124915287166,
-    ],
-    [
-      0.020162612375115664, 0.08698231034358969, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      0.020162612375115664, 0.08698231034358969, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.020162612375115664, 0.08698231034358969, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.020162612375115664, 0.08698231034358969, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      0.020162612375115664, 0.08698231034358969, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      0.020162612375115664, 0.08698231034358969, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.020162612375115664, 0.11026408970826793, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      0.020162612375115664, 0.11026408970826793, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.020162612375115664, 0.11026408970826793, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.020162612375115664, 0.11026408970826793, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      0.020162612375115664, 0.11026408970826793, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [0.020162612375115664, 0.11026408970826793, 0.31187394221631215, 0.0],
-    [
-      0.020162612375115664, 0.1479348000388932, -0.27386127875258304,
-      -0.11197687372930748,
-    ],
-    [
-      0.020162612375115664, 0.1479348000388932, 0.03995582209034891,
-      0.2931592613772822,
-    ],
-    [
-      0.020162612375115664, 0.1479348000388932, 0.23390545666223417,
-      -0.18118238764797473,
-    ],
-    [
-      0.020162612375115664, 0.20888728973419673, -0.2307613599588308,
-      0.11197687372930748,
-    ],
-    [
-      0.020162612375115664, 0.20888728973419673, -0.1661114817682024,
-      0.1954395075848548,
-    ],
-    [
-      0.020162612375115664, 0.20888728973419673, -0.08619983758750455,
-      -0.24157651686396625,
-    ],
-    [
-      0.020162612375115664, 0.20888728973419673, 0.018405862693472774,
-      -0.25583363680084636,
-    ],
-    [
-      0.020162612375115664, 0.20888728973419673, 0.21235549726535802,
-      0.14385676307153888,
-    ],
-    [
-      0.020162612375115664, 0.20888728973419673, 0.25231131935570694,
-      0.04613700927911148,
-    ],
-    [
-      0.020162612375115664, 0.24655800006482204, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      0.020162612375115664, 0.24655800006482204, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      0.020162612375115664, 0.24655800006482204, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      0.020162612375115664, 0.2698397794295002, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      0.020162612375115664, 0.2698397794295002, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      0.020162612375115664, 0.2698397794295002, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      0.020162612375115664, 0.2698397794295002, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      0.020162612375115664, 0.2698397794295002, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      0.020162612375115664, 0.2698397794295002, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      0.020162612375115664, 0.3075104897601255, -0.09637434824755081,
-      0.07465124915287166,
-    ],
-    [
-      0.020162612375115664, 0.3075104897601255, -0.016462704066852997,
-      -0.12078825843198313,
-    ],
-    [
-      0.020162612375115664, 0.3075104897601255, 0.11283705231440383,
-      0.04613700927911148,
-    ],
-    [0.020162612375115664, 0.33079226912480375, 0.0, 0.0],
-    [
-      0.05278640450004206, -0.32634584492543817, -0.021549959396876137,
-      -0.008811384702675652,
-    ],
-    [
-      0.05278640450004206, -0.32634584492543817, 0.0031440967034033623,
-      0.02306850463955574,
-    ],
-    [
-      0.05278640450004206, -0.32634584492543817, 0.018405862693472774,
-      -0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, -0.3119569139594911, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, -0.3119569139594911, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, -0.3119569139594911, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, -0.26539335523013463, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, -0.26539335523013463, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.26539335523013463, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      0.05278640450004206, -0.26539335523013463, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      0.05278640450004206, -0.26539335523013463, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, -0.26539335523013463, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, -0.25100442426418756, -0.17748693050503223,
-      0.11197687372930748,
-    ],
-    [
-      0.05278640450004206, -0.25100442426418756, -0.15279287440475275,
-      0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, -0.25100442426418756, -0.048187174123775406,
-      -0.20425089228753046,
-    ],
-    [
-      0.05278640450004206, -0.25100442426418756, -0.008231352033426498,
-      -0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, -0.25100442426418756, 0.18571828253845873,
-      0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, -0.25100442426418756, 0.20098004852852813,
-      0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, -0.18571828253845873,
-      0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, -0.031724470056922416,
-      -0.23276513216129063,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, 0.21744275259538115,
-      0.08890836908975175,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, -0.26368676809253677,
-      -0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, -0.21429865589197777,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, -0.02978131143030264,
-      0.264645021503522,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, 0.09951844495095419,
-      0.2470222520981707,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, 0.16416832314158258,
-      -0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, 0.24407996732228043,
-      -0.10653113849510304,
-    ],
-    [
-      0.05278640450004206, -0.16677015520420585, -0.22253000792540428,
-      0.17237100294529906,
-    ],
-    [
-      0.05278640450004206, -0.16677015520420585, -0.03801266346372914,
-      -0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, -0.16677015520420585, 0.26054267138913345,
-      0.10653113849510304,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.3004984934794823,
-      -0.008811384702675652,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.22058684929878453,
-      -0.20425089228753046,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.06659303681724818,
-      0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.14261836374470646,
-      0.264645021503522,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.1578801297347759,
-      -0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.28717988611603273,
-      -0.08890836908975175,
-    ],
-    [
-      0.05278640450004206, -0.10581766550890234, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      0.05278640450004206, -0.10581766550890234, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      0.05278640450004206, -0.10581766550890234, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, -0.10581766550890234, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, -0.10581766550890234, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, -0.10581766550890234, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, -0.313817100842932,
-      -0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, -0.29855533485286256,
-      0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, -0.23390545666223417,
-      -0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, -0.16925557847160572,
-      0.264645021503522,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, -0.14456152237132625,
-      -0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, -0.06464987819062842,
-      0.30741638131416227,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, 0.06464987819062842,
-      -0.30741638131416227,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, 0.14456152237132625,
-      0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, 0.16925557847160572,
-      -0.264645021503522,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, 0.23390545666223417,
-      0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, 0.29855533485286256,
-      -0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, -0.09142873454295528, 0.313817100842932,
-      0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.32010529424973866,
-      -0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.2707171820491797,
-      -0.18118238764797473,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.021549959396876137,
-      0.3250391507195136,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.10774979698438068,
-      0.30741638131416227,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.21235549726535802,
-      -0.2470222520981707,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.2922671414460558,
-      -0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.2922671414460558,
-      0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.21235549726535802,
-      0.2470222520981707,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.10774979698438068,
-      -0.30741638131416227,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.021549959396876137,
-      -0.3250391507195136,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.2707171820491797,
-      0.18118238764797473,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.32010529424973866,
-      0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, -0.313817100842932,
-      -0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, -0.29855533485286256,
-      0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, -0.23390545666223417,
-      -0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, -0.16925557847160572,
-      0.264645021503522,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, -0.14456152237132625,
-      -0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, -0.06464987819062842,
-      0.30741638131416227,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, 0.06464987819062842,
-      -0.30741638131416227,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, 0.14456152237132625,
-      0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, 0.16925557847160572,
-      -0.264645021503522,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, 0.23390545666223417,
-      0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, 0.29855533485286256,
-      -0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, 0.09142873454295528, 0.313817100842932,
-      0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, 0.10581766550890234, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, 0.10581766550890234, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, 0.10581766550890234, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, 0.10581766550890234, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, 0.10581766550890234, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      0.05278640450004206, 0.10581766550890234, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.28717988611603273,
-      0.08890836908975175,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.1578801297347759,
-      0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.14261836374470646,
-      -0.264645021503522,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.06659303681724818,
-      -0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.22058684929878453,
-      0.20425089228753046,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.3004984934794823,
-      0.008811384702675652,
-    ],
-    [
-      0.05278640450004206, 0.16677015520420585, -0.26054267138913345,
-      -0.10653113849510304,
-    ],
-    [
-      0.05278640450004206, 0.16677015520420585, 0.03801266346372914,
-      0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, 0.16677015520420585, 0.22253000792540428,
-      -0.17237100294529906,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, -0.24407996732228043,
-      0.10653113849510304,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, -0.16416832314158258,
-      0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, -0.09951844495095419,
-      -0.2470222520981707,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, 0.02978131143030264,
-      -0.264645021503522,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, 0.21429865589197777,
-      0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, 0.26368676809253677,
-      0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, -0.21744275259538115,
-      -0.08890836908975175,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, 0.031724470056922416,
-      0.23276513216129063,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, 0.18571828253845873,
-      -0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, 0.25100442426418756, -0.20098004852852813,
-      -0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, 0.25100442426418756, -0.18571828253845873,
-      -0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, 0.25100442426418756, 0.008231352033426498,
-      0.2096966275217349,
-    ],
-    [
-      0.05278640450004206, 0.25100442426418756, 0.048187174123775406,
-      0.20425089228753046,
-    ],
-    [
-      0.05278640450004206, 0.25100442426418756, 0.15279287440475275,
-      -0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, 0.25100442426418756, 0.17748693050503223,
-      -0.11197687372930748,
-    ],
-    [
-      0.05278640450004206, 0.26539335523013463, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, 0.26539335523013463, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      0.05278640450004206, 0.26539335523013463, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      0.05278640450004206, 0.26539335523013463, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      0.05278640450004206, 0.26539335523013463, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, 0.26539335523013463, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, 0.3119569139594911, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, 0.3119569139594911, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, 0.3119569139594911, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, 0.32634584492543817, -0.018405862693472774,
-      0.01425711993688009,
-    ],
-    [
-      0.05278640450004206, 0.32634584492543817, -0.0031440967034033623,
-      -0.02306850463955574,
-    ],
-    [
-      0.05278640450004206, 0.32634584492543817, 0.021549959396876137,
-      0.008811384702675652,
-    ],
-    [
-      0.06524758424985279, -0.31915137944246463, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, -0.31915137944246463, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.06524758424985279, -0.31915137944246463, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.06524758424985279, -0.2581988897471611, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      0.06524758424985279, -0.2581988897471611, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      0.06524758424985279, -0.2581988897471611, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      0.06524758424985279, -0.2581988897471611, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      0.06524758424985279, -0.2581988897471611, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      0.06524758424985279, -0.2581988897471611, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, -0.19724640005185762, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.06524758424985279, -0.19724640005185762, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, -0.19724640005185762, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.06524758424985279, -0.15957568972123232, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, -0.15957568972123232, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      0.06524758424985279, -0.15957568972123232, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      0.06524758424985279, -0.15957568972123232, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, -0.15957568972123232, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      0.06524758424985279, -0.15957568972123232, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      0.06524758424985279, -0.09862320002592881, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      0.06524758424985279, -0.09862320002592881, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, -0.09862320002592881, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      0.06524758424985279, -0.09862320002592881, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      0.06524758424985279, -0.09862320002592881, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      0.06524758424985279, -0.09862320002592881, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, -0.06095248969530351, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      0.06524758424985279, -0.06095248969530351, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.06524758424985279, -0.06095248969530351, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.06524758424985279, -0.06095248969530351, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      0.06524758424985279, -0.06095248969530351, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, -0.06095248969530351, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.06524758424985279, 0.06095248969530351, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.06524758424985279, 0.06095248969530351, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, 0.06095248969530351, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      0.06524758424985279, 0.06095248969530351, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.06524758424985279, 0.06095248969530351, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.06524758424985279, 0.06095248969530351, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      0.06524758424985279, 0.09862320002592881, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, 0.09862320002592881, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      0.06524758424985279, 0.09862320002592881, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      0.06524758424985279, 0.09862320002592881, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      0.06524758424985279, 0.09862320002592881, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, 0.09862320002592881, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      0.06524758424985279, 0.15957568972123232, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      0.06524758424985279, 0.15957568972123232, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      0.06524758424985279, 0.15957568972123232, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, 0.15957568972123232, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      0.06524758424985279, 0.15957568972123232, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      0.06524758424985279, 0.15957568972123232, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, 0.19724640005185762, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.06524758424985279, 0.19724640005185762, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.06524758424985279, 0.19724640005185762, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.06524758424985279, 0.2581988897471611, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      0.06524758424985279, 0.2581988897471611, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      0.06524758424985279, 0.2581988897471611, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      0.06524758424985279, 0.2581988897471611, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      0.06524758424985279, 0.2581988897471611, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      0.06524758424985279, 0.2581988897471611, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      0.06524758424985279, 0.31915137944246463, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.06524758424985279, 0.31915137944246463, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.06524758424985279, 0.31915137944246463, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, -0.08814299621412433,
-      -0.01425711993688009,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, -0.0728812302240549,
-      -0.05158274451331592,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, -0.008231352033426498,
-      0.08890836908975175,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, 0.031724470056922416,
-      0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, 0.056418526157201915,
-      -0.06920551391866722,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, 0.08111258225748141,
-      -0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, -0.1661114817682024,
-      0.04613700927911148,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, -0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, -0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, 0.04309991879375227,
-      -0.16692526771109462,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, 0.1230115629744501,
-      0.12078825843198313,
-    ],
-    [0.08541019662496846, -0.2698397794295002, 0.1723996751750091, 0.0],
-    [
-      0.08541019662496846, -0.24655800006482204, -0.19903688990190838,
-      0.04613700927911148,
-    ],
-    [
-      0.08541019662496846, -0.24655800006482204, -0.10969295561100045,
-      -0.17237100294529906,
-    ],
-    [
-      0.08541019662496846, -0.24655800006482204, -0.09443118962093106,
-      0.18118238764797473,
-    ],
-    [
-      0.08541019662496846, -0.24655800006482204, 0.05956262286060528,
-      -0.1954395075848548,
-    ],
-    [
-      0.08541019662496846, -0.24655800006482204, 0.1394742670413031,
-      0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, -0.24655800006482204, 0.2041241452319315,
-      -0.008811384702675652,
-    ],
-    [
-      0.08541019662496846, -0.1856055103695185, -0.26054267138913345,
-      -0.01425711993688009,
-    ],
-    [
-      0.08541019662496846, -0.1856055103695185, -0.195892793198505,
-      -0.17237100294529906,
-    ],
-    [
-      0.08541019662496846, -0.1856055103695185, -0.05133127082717877,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.1856055103695185, 0.11792430764442696,
-      0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, -0.1856055103695185, 0.14261836374470646,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.1856055103695185, 0.24722406402568378,
-      -0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.26562992671915653,
-      -0.05158274451331592,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.20098004852852813,
-      0.18118238764797473,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.056418526157201915,
-      -0.264645021503522,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, -0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, 0.08814299621412433,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, 0.17748693050503223,
-      -0.20425089228753046,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, 0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, 0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, -0.17121657940357143, 0.25739857468573,
-      0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.28717988611603273,
-      0.08890836908975175,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.1578801297347759,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.14261836374470646,
-      -0.264645021503522,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.06659303681724818,
-      -0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.22058684929878453,
-      0.20425089228753046,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.3004984934794823,
-      0.008811384702675652,
-    ],
-    [
-      0.08541019662496846, -0.07259337937764263, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, -0.07259337937764263, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, -0.07259337937764263, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, -0.07259337937764263, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      0.08541019662496846, -0.07259337937764263, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [0.08541019662496846, -0.07259337937764263, 0.31187394221631215, 0.0],
-    [
-      0.08541019662496846, -0.049311600012964404, -0.30872984551290883,
-      -0.06920551391866722,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, -0.26877402342255996,
-      -0.16692526771109462,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, -0.010174510660046276,
-      0.3162277660168379,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, 0.09443118962093106,
-      0.3019706460799578,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, 0.21429865589197777,
-      -0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, 0.2789485340826062,
-      -0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, -0.026029820648286184, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, -0.026029820648286184, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.08541019662496846, -0.026029820648286184, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.08541019662496846, -0.026029820648286184, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, -0.026029820648286184, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.026029820648286184, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, 0.026029820648286184, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, 0.026029820648286184, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.026029820648286184, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, 0.026029820648286184, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.08541019662496846, 0.026029820648286184, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.08541019662496846, 0.026029820648286184, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, -0.2789485340826062,
-      0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, -0.21429865589197777,
-      0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, -0.09443118962093106,
-      -0.3019706460799578,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, 0.010174510660046276,
-      -0.3162277660168379,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, 0.26877402342255996,
-      0.16692526771109462,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, 0.30872984551290883,
-      0.06920551391866722,
-    ],
-    [0.08541019662496846, 0.07259337937764263, -0.31187394221631215, 0.0],
-    [
-      0.08541019662496846, 0.07259337937764263, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.07259337937764263, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      0.08541019662496846, 0.07259337937764263, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, 0.07259337937764263, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, 0.07259337937764263, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.3004984934794823,
-      -0.008811384702675652,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.22058684929878453,
-      -0.20425089228753046,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.06659303681724818,
-      0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.14261836374470646,
-      0.264645021503522,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.1578801297347759,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.28717988611603273,
-      -0.08890836908975175,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, -0.25739857468573,
-      -0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, -0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, -0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, -0.17748693050503223,
-      0.20425089228753046,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, -0.08814299621412433,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.056418526157201915,
-      0.264645021503522,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.20098004852852813,
-      -0.18118238764797473,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, 0.17121657940357143, 0.26562992671915653,
-      0.05158274451331592,
-    ],
-    [
-      0.08541019662496846, 0.1856055103695185, -0.24722406402568378,
-      0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, 0.1856055103695185, -0.14261836374470646,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.1856055103695185, -0.11792430764442696,
-      -0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, 0.1856055103695185, 0.05133127082717877,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.1856055103695185, 0.195892793198505,
-      0.17237100294529906,
-    ],
-    [
-      0.08541019662496846, 0.1856055103695185, 0.26054267138913345,
-      0.01425711993688009,
-    ],
-    [
-      0.08541019662496846, 0.24655800006482204, -0.2041241452319315,
-      0.008811384702675652,
-    ],
-    [
-      0.08541019662496846, 0.24655800006482204, -0.1394742670413031,
-      -0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, 0.24655800006482204, -0.05956262286060528,
-      0.1954395075848548,
-    ],
-    [
-      0.08541019662496846, 0.24655800006482204, 0.09443118962093106,
-      -0.18118238764797473,
-    ],
-    [
-      0.08541019662496846, 0.24655800006482204, 0.10969295561100045,
-      0.17237100294529906,
-    ],
-    [
-      0.08541019662496846, 0.24655800006482204, 0.19903688990190838,
-      -0.04613700927911148,
-    ],
-    [0.08541019662496846, 0.2698397794295002, -0.1723996751750091, 0.0],
-    [
-      0.08541019662496846, 0.2698397794295002, -0.1230115629744501,
-      -0.12078825843198313,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, -0.04309991879375227,
-      0.16692526771109462,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, 0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, 0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, 0.1661114817682024,
-      -0.04613700927911148,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, -0.08111258225748141,
-      0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, -0.056418526157201915,
-      0.06920551391866722,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, -0.031724470056922416,
-      -0.08346263385554731,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, 0.008231352033426498,
-      -0.08890836908975175,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, 0.0728812302240549,
-      0.05158274451331592,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, 0.08814299621412433,
-      0.01425711993688009,
-    ],
-    [
-      0.10557280900008412, -0.2958696000777864, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      0.10557280900008412, -0.2958696000777864, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, -0.2958696000777864, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, -0.2958696000777864, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, -0.2958696000777864, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, -0.2958696000777864, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      0.10557280900008412, -0.28148066911183933, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      0.10557280900008412, -0.28148066911183933, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, -0.28148066911183933, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, -0.28148066911183933, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      0.10557280900008412, -0.28148066911183933, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [0.10557280900008412, -0.28148066911183933, 0.1394742670413031, 0.0],
-    [
-      0.10557280900008412, -0.22052817941653585, -0.22058684929878453,
-      0.03732562457643583,
-    ],
-    [
-      0.10557280900008412, -0.22052817941653585, -0.1312429150078766,
-      -0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, -0.22052817941653585, -0.09128709291752768,
-      0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, -0.22052817941653585, 0.07796848555407804,
-      -0.2096966275217349,
-    ],
-    [
-      0.10557280900008412, -0.22052817941653585, 0.14261836374470646,
-      0.17237100294529906,
-    ],
-    [
-      0.10557280900008412, -0.22052817941653585, 0.22253000792540428,
-      -0.02306850463955574,
-    ],
-    [
-      0.10557280900008412, -0.19724640005185762, -0.24407996732228043,
-      0.01425711993688009,
-    ],
-    [
-      0.10557280900008412, -0.19724640005185762, -0.16416832314158258,
-      -0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, -0.19724640005185762, -0.07482438885067469,
-      0.23276513216129063,
-    ],
-    [
-      0.10557280900008412, -0.19724640005185762, 0.10969295561100045,
-      -0.21850801222441052,
-    ],
-    [
-      0.10557280900008412, -0.19724640005185762, 0.13438701171127998,
-      0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, -0.19724640005185762, 0.2389927119922573,
-      -0.05158274451331592,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, -0.25739857468573,
-      -0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, -0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, -0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, -0.17748693050503223,
-      0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, -0.08814299621412433,
-      -0.25583363680084636,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.056418526157201915,
-      0.264645021503522,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.20098004852852813,
-      -0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      0.10557280900008412, -0.15957568972123232, 0.26562992671915653,
-      0.05158274451331592,
-    ],
-    [
-      0.10557280900008412, -0.13629391035655408, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, -0.13629391035655408, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      0.10557280900008412, -0.13629391035655408, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      0.10557280900008412, -0.13629391035655408, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      0.10557280900008412, -0.13629391035655408, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, -0.13629391035655408, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      0.10557280900008412, -0.06095248969530351, -0.2922671414460558,
-      -0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, -0.06095248969530351, -0.27700537545598647,
-      -0.1350453783688632,
-    ],
-    [
-      0.10557280900008412, -0.06095248969530351, 0.021549959396876137,
-      0.30741638131416227,
-    ],
-    [
-      0.10557280900008412, -0.06095248969530351, 0.06150578148722505,
-      0.3019706460799578,
-    ],
-    [
-      0.10557280900008412, -0.06095248969530351, 0.2307613599588308,
-      -0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, -0.06095248969530351, 0.25545541605911026,
-      -0.17237100294529906,
-    ],
-    [
-      0.10557280900008412, -0.03767071033062529, -0.3004984934794823,
-      0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, -0.03767071033062529, -0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, -0.03767071033062529, -0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, -0.03767071033062529, 0.07796848555407804,
-      -0.3019706460799578,
-    ],
-    [
-      0.10557280900008412, -0.03767071033062529, 0.22253000792540428,
-      0.21850801222441052,
-    ],
-    [0.10557280900008412, -0.03767071033062529, 0.31187394221631215, 0.0],
-    [0.10557280900008412, 0.0, -0.313817100842932, -0.01425711993688009],
-    [0.10557280900008412, 0.0, -0.29855533485286256, 0.0977197537924274],
-    [0.10557280900008412, 0.0, -0.23390545666223417, -0.2096966275217349],
-    [0.10557280900008412, 0.0, -0.16925557847160572, 0.264645021503522],
-    [0.10557280900008412, 0.0, -0.14456152237132625, -0.27890214144040215],
-    [0.10557280900008412, 0.0, -0.06464987819062842, 0.30741638131416227],
-    [0.10557280900008412, 0.0, 0.06464987819062842, -0.30741638131416227],
-    [0.10557280900008412, 0.0, 0.14456152237132625, 0.27890214144040215],
-    [0.10557280900008412, 0.0, 0.16925557847160572, -0.264645021503522],
-    [0.10557280900008412, 0.0, 0.23390545666223417, 0.2096966275217349],
-    [0.10557280900008412, 0.0, 0.29855533485286256, -0.0977197537924274],
-    [0.10557280900008412, 0.0, 0.313817100842932, 0.01425711993688009],
-    [0.10557280900008412, 0.03767071033062529, -0.31187394221631215, 0.0],
-    [
-      0.10557280900008412, 0.03767071033062529, -0.22253000792540428,
-      -0.21850801222441052,
-    ],
-    [
-      0.10557280900008412, 0.03767071033062529, -0.07796848555407804,
-      0.3019706460799578,
-    ],
-    [
-      0.10557280900008412, 0.03767071033062529, 0.15593697110815607,
-      -0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, 0.03767071033062529, 0.15593697110815607,
-      0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, 0.03767071033062529, 0.3004984934794823,
-      -0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, 0.06095248969530351, -0.25545541605911026,
-      0.17237100294529906,
-    ],
-    [
-      0.10557280900008412, 0.06095248969530351, -0.2307613599588308,
-      0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, 0.06095248969530351, -0.06150578148722505,
-      -0.3019706460799578,
-    ],
-    [
-      0.10557280900008412, 0.06095248969530351, -0.021549959396876137,
-      -0.30741638131416227,
-    ],
-    [
-      0.10557280900008412, 0.06095248969530351, 0.27700537545598647,
-      0.1350453783688632,
-    ],
-    [
-      0.10557280900008412, 0.06095248969530351, 0.2922671414460558,
-      0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, 0.13629391035655408, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      0.10557280900008412, 0.13629391035655408, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, 0.13629391035655408, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      0.10557280900008412, 0.13629391035655408, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      0.10557280900008412, 0.13629391035655408, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      0.10557280900008412, 0.13629391035655408, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.26562992671915653,
-      -0.05158274451331592,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.20098004852852813,
-      0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.056418526157201915,
-      -0.264645021503522,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, -0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, 0.08814299621412433,
-      0.25583363680084636,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, 0.17748693050503223,
-      -0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, 0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, 0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, 0.15957568972123232, 0.25739857468573,
-      0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, 0.19724640005185762, -0.2389927119922573,
-      0.05158274451331592,
-    ],
-    [
-      0.10557280900008412, 0.19724640005185762, -0.13438701171127998,
-      -0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, 0.19724640005185762, -0.10969295561100045,
-      0.21850801222441052,
-    ],
-    [
-      0.10557280900008412, 0.19724640005185762, 0.07482438885067469,
-      -0.23276513216129063,
-    ],
-    [
-      0.10557280900008412, 0.19724640005185762, 0.16416832314158258,
-      0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, 0.19724640005185762, 0.24407996732228043,
-      -0.01425711993688009,
-    ],
-    [
-      0.10557280900008412, 0.22052817941653585, -0.22253000792540428,
-      0.02306850463955574,
-    ],
-    [
-      0.10557280900008412, 0.22052817941653585, -0.14261836374470646,
-      -0.17237100294529906,
-    ],
-    [
-      0.10557280900008412, 0.22052817941653585, -0.07796848555407804,
-      0.2096966275217349,
-    ],
-    [
-      0.10557280900008412, 0.22052817941653585, 0.09128709291752768,
-      -0.20425089228753046,
-    ],
-    [
-      0.10557280900008412, 0.22052817941653585, 0.1312429150078766,
-      0.18118238764797473,
-    ],
-    [
-      0.10557280900008412, 0.22052817941653585, 0.22058684929878453,
-      -0.03732562457643583,
-    ],
-    [0.10557280900008412, 0.28148066911183933, -0.1394742670413031, 0.0],
-    [
-      0.10557280900008412, 0.28148066911183933, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, 0.28148066911183933, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      0.10557280900008412, 0.28148066911183933, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, 0.28148066911183933, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.10557280900008412, 0.28148066911183933, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      0.10557280900008412, 0.2958696000777864, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      0.10557280900008412, 0.2958696000777864, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, 0.2958696000777864, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, 0.2958696000777864, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      0.10557280900008412, 0.2958696000777864, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      0.10557280900008412, 0.2958696000777864, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, -0.09951844495095419,
-      0.05158274451331592,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, -0.07482438885067469,
-      0.08346263385554731,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, -0.03486856676032578,
-      -0.10653113849510304,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, 0.005087255330023138,
-      -0.11197687372930748,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, 0.09443118962093106,
-      0.06039412921599156,
-    ],
-    [
-      0.11803398874989485, -0.28867513459481287, 0.10969295561100045,
-      0.02306850463955574,
-    ],
-    [
-      0.11803398874989485, -0.19005193456888408, -0.2389927119922573,
-      0.05158274451331592,
-    ],
-    [
-      0.11803398874989485, -0.19005193456888408, -0.13438701171127998,
-      -0.20425089228753046,
-    ],
-    [
-      0.11803398874989485, -0.19005193456888408, -0.10969295561100045,
-      0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, -0.19005193456888408, 0.07482438885067469,
-      -0.23276513216129063,
-    ],
-    [
-      0.11803398874989485, -0.19005193456888408, 0.16416832314158258,
-      0.18118238764797473,
-    ],
-    [
-      0.11803398874989485, -0.19005193456888408, 0.24407996732228043,
-      -0.01425711993688009,
-    ],
-    [
-      0.11803398874989485, -0.16677015520420585, -0.24722406402568378,
-      0.08346263385554731,
-    ],
-    [
-      0.11803398874989485, -0.16677015520420585, -0.14261836374470646,
-      0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, -0.16677015520420585, -0.11792430764442696,
-      -0.23276513216129063,
-    ],
-    [
-      0.11803398874989485, -0.16677015520420585, 0.05133127082717877,
-      -0.25583363680084636,
-    ],
-    [
-      0.11803398874989485, -0.16677015520420585, 0.195892793198505,
-      0.17237100294529906,
-    ],
-    [
-      0.11803398874989485, -0.16677015520420585, 0.26054267138913345,
-      0.01425711993688009,
-    ],
-    [
-      0.11803398874989485, -0.12909944487358055, -0.26054267138913345,
-      -0.10653113849510304,
-    ],
-    [
-      0.11803398874989485, -0.12909944487358055, 0.03801266346372914,
-      0.27890214144040215,
-    ],
-    [
-      0.11803398874989485, -0.12909944487358055, 0.22253000792540428,
-      -0.17237100294529906,
-    ],
-    [
-      0.11803398874989485, -0.09142873454295528, -0.27386127875258304,
-      -0.11197687372930748,
-    ],
-    [
-      0.11803398874989485, -0.09142873454295528, 0.03995582209034891,
-      0.2931592613772822,
-    ],
-    [
-      0.11803398874989485, -0.09142873454295528, 0.23390545666223417,
-      -0.18118238764797473,
-    ],
-    [
-      0.11803398874989485, -0.007194465482973537, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      0.11803398874989485, -0.007194465482973537, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      0.11803398874989485, -0.007194465482973537, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      0.11803398874989485, -0.007194465482973537, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      0.11803398874989485, -0.007194465482973537, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      0.11803398874989485, -0.007194465482973537, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      0.11803398874989485, 0.007194465482973537, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      0.11803398874989485, 0.007194465482973537, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      0.11803398874989485, 0.007194465482973537, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      0.11803398874989485, 0.007194465482973537, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      0.11803398874989485, 0.007194465482973537, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      0.11803398874989485, 0.007194465482973537, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      0.11803398874989485, 0.09142873454295528, -0.23390545666223417,
-      0.18118238764797473,
-    ],
-    [
-      0.11803398874989485, 0.09142873454295528, -0.03995582209034891,
-      -0.2931592613772822,
-    ],
-    [
-      0.11803398874989485, 0.09142873454295528, 0.27386127875258304,
-      0.11197687372930748,
-    ],
-    [
-      0.11803398874989485, 0.12909944487358055, -0.22253000792540428,
-      0.17237100294529906,
-    ],
-    [
-      0.11803398874989485, 0.12909944487358055, -0.03801266346372914,
-      -0.27890214144040215,
-    ],
-    [
-      0.11803398874989485, 0.12909944487358055, 0.26054267138913345,
-      0.10653113849510304,
-    ],
-    [
-      0.11803398874989485, 0.16677015520420585, -0.26054267138913345,
-      -0.01425711993688009,
-    ],
-    [
-      0.11803398874989485, 0.16677015520420585, -0.195892793198505,
-      -0.17237100294529906,
-    ],
-    [
-      0.11803398874989485, 0.16677015520420585, -0.05133127082717877,
-      0.25583363680084636,
-    ],
-    [
-      0.11803398874989485, 0.16677015520420585, 0.11792430764442696,
-      0.23276513216129063,
-    ],
-    [
-      0.11803398874989485, 0.16677015520420585, 0.14261836374470646,
-      -0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, 0.16677015520420585, 0.24722406402568378,
-      -0.08346263385554731,
-    ],
-    [
-      0.11803398874989485, 0.19005193456888408, -0.24407996732228043,
-      0.01425711993688009,
-    ],
-    [
-      0.11803398874989485, 0.19005193456888408, -0.16416832314158258,
-      -0.18118238764797473,
-    ],
-    [
-      0.11803398874989485, 0.19005193456888408, -0.07482438885067469,
-      0.23276513216129063,
-    ],
-    [
-      0.11803398874989485, 0.19005193456888408, 0.10969295561100045,
-      -0.21850801222441052,
-    ],
-    [
-      0.11803398874989485, 0.19005193456888408, 0.13438701171127998,
-      0.20425089228753046,
-    ],
-    [
-      0.11803398874989485, 0.19005193456888408, 0.2389927119922573,
-      -0.05158274451331592,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, -0.10969295561100045,
-      -0.02306850463955574,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, -0.09443118962093106,
-      -0.06039412921599156,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, -0.005087255330023138,
-      0.11197687372930748,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, 0.03486856676032578,
-      0.10653113849510304,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, 0.07482438885067469,
-      -0.08346263385554731,
-    ],
-    [
-      0.11803398874989485, 0.28867513459481287, 0.09951844495095419,
-      -0.05158274451331592,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, -0.11598114901780718,
-      0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, -0.06659303681724818,
-      -0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, -0.05133127082717877,
-      0.10653113849510304,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, 0.03801266346372914,
-      -0.11197687372930748,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, 0.07796848555407804,
-      0.08890836908975175,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, 0.11792430764442696,
-      -0.008811384702675652,
-    ],
-    [
-      0.13819660112501053, -0.2016928242512232, -0.22253000792540428,
-      0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, -0.2016928242512232, -0.14261836374470646,
-      -0.17237100294529906,
-    ],
-    [
-      0.13819660112501053, -0.2016928242512232, -0.07796848555407804,
-      0.2096966275217349,
-    ],
-    [
-      0.13819660112501053, -0.2016928242512232, 0.09128709291752768,
-      -0.20425089228753046,
-    ],
-    [
-      0.13819660112501053, -0.2016928242512232, 0.1312429150078766,
-      0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, -0.2016928242512232, 0.22058684929878453,
-      -0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, -0.15512926552186673, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, -0.15512926552186673, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, -0.15512926552186673, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, -0.24407996732228043,
-      0.10653113849510304,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, -0.16416832314158258,
-      0.2096966275217349,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, -0.09951844495095419,
-      -0.2470222520981707,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, 0.02978131143030264,
-      -0.264645021503522,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, 0.21429865589197777,
-      0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, 0.26368676809253677,
-      0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, -0.05650606549593794, -0.27386127875258304,
-      -0.11197687372930748,
-    ],
-    [
-      0.13819660112501053, -0.05650606549593794, 0.03995582209034891,
-      0.2931592613772822,
-    ],
-    [
-      0.13819660112501053, -0.05650606549593794, 0.23390545666223417,
-      -0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.28717988611603273,
-      0.08890836908975175,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.1578801297347759,
-      0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.14261836374470646,
-      -0.264645021503522,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.06659303681724818,
-      -0.2931592613772822,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.22058684929878453,
-      0.20425089228753046,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.3004984934794823,
-      0.008811384702675652,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.3004984934794823,
-      -0.008811384702675652,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.22058684929878453,
-      -0.20425089228753046,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.06659303681724818,
-      0.2931592613772822,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.14261836374470646,
-      0.264645021503522,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.1578801297347759,
-      -0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.28717988611603273,
-      -0.08890836908975175,
-    ],
-    [
-      0.13819660112501053, 0.05650606549593794, -0.23390545666223417,
-      0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, 0.05650606549593794, -0.03995582209034891,
-      -0.2931592613772822,
-    ],
-    [
-      0.13819660112501053, 0.05650606549593794, 0.27386127875258304,
-      0.11197687372930748,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, -0.26368676809253677,
-      -0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, -0.21429865589197777,
-      -0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, -0.02978131143030264,
-      0.264645021503522,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, 0.09951844495095419,
-      0.2470222520981707,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, 0.16416832314158258,
-      -0.2096966275217349,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, 0.24407996732228043,
-      -0.10653113849510304,
-    ],
-    [
-      0.13819660112501053, 0.15512926552186673, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, 0.15512926552186673, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, 0.15512926552186673, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, 0.2016928242512232, -0.22058684929878453,
-      0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, 0.2016928242512232, -0.1312429150078766,
-      -0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, 0.2016928242512232, -0.09128709291752768,
-      0.20425089228753046,
-    ],
-    [
-      0.13819660112501053, 0.2016928242512232, 0.07796848555407804,
-      -0.2096966275217349,
-    ],
-    [
-      0.13819660112501053, 0.2016928242512232, 0.14261836374470646,
-      0.17237100294529906,
-    ],
-    [
-      0.13819660112501053, 0.2016928242512232, 0.22253000792540428,
-      -0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, -0.11792430764442696,
-      0.008811384702675652,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, -0.07796848555407804,
-      -0.08890836908975175,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, -0.03801266346372914,
-      0.11197687372930748,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, 0.05133127082717877,
-      -0.10653113849510304,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, 0.06659303681724818,
-      0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, 0.11598114901780718,
-      -0.02306850463955574,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, -0.11792430764442696,
-      0.008811384702675652,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, -0.07796848555407804,
-      -0.08890836908975175,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, -0.03801266346372914,
-      0.11197687372930748,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, 0.05133127082717877,
-      -0.10653113849510304,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, 0.06659303681724818,
-      0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, 0.11598114901780718,
-      -0.02306850463955574,
-    ],
-    [
-      0.17082039324993692, -0.19724640005185762, -0.2041241452319315,
-      0.008811384702675652,
-    ],
-    [
-      0.17082039324993692, -0.19724640005185762, -0.1394742670413031,
-      -0.14930249830574333,
-    ],
-    [
-      0.17082039324993692, -0.19724640005185762, -0.05956262286060528,
-      0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, -0.19724640005185762, 0.09443118962093106,
-      -0.18118238764797473,
-    ],
-    [
-      0.17082039324993692, -0.19724640005185762, 0.10969295561100045,
-      0.17237100294529906,
-    ],
-    [
-      0.17082039324993692, -0.19724640005185762, 0.19903688990190838,
-      -0.04613700927911148,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, -0.21744275259538115,
-      -0.08890836908975175,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, 0.031724470056922416,
-      0.23276513216129063,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, 0.18571828253845873,
-      -0.14385676307153888,
-    ],
-    [
-      0.17082039324993692, -0.12190497939060702, -0.2307613599588308,
-      0.11197687372930748,
-    ],
-    [
-      0.17082039324993692, -0.12190497939060702, -0.1661114817682024,
-      0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, -0.12190497939060702, -0.08619983758750455,
-      -0.24157651686396625,
-    ],
-    [
-      0.17082039324993692, -0.12190497939060702, 0.018405862693472774,
-      -0.25583363680084636,
-    ],
-    [
-      0.17082039324993692, -0.12190497939060702, 0.21235549726535802,
-      0.14385676307153888,
-    ],
-    [
-      0.17082039324993692, -0.12190497939060702, 0.25231131935570694,
-      0.04613700927911148,
-    ],
-    [
-      0.17082039324993692, -0.03767071033062529, -0.26054267138913345,
-      -0.10653113849510304,
-    ],
-    [
-      0.17082039324993692, -0.03767071033062529, 0.03801266346372914,
-      0.27890214144040215,
-    ],
-    [
-      0.17082039324993692, -0.03767071033062529, 0.22253000792540428,
-      -0.17237100294529906,
-    ],
-    [
-      0.17082039324993692, -0.02328177936467822, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, -0.02328177936467822, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      0.17082039324993692, -0.02328177936467822, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      0.17082039324993692, -0.02328177936467822, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      0.17082039324993692, -0.02328177936467822, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      0.17082039324993692, -0.02328177936467822, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      0.17082039324993692, 0.02328177936467822, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      0.17082039324993692, 0.02328177936467822, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      0.17082039324993692, 0.02328177936467822, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      0.17082039324993692, 0.02328177936467822, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      0.17082039324993692, 0.02328177936467822, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      0.17082039324993692, 0.02328177936467822, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, 0.03767071033062529, -0.22253000792540428,
-      0.17237100294529906,
-    ],
-    [
-      0.17082039324993692, 0.03767071033062529, -0.03801266346372914,
-      -0.27890214144040215,
-    ],
-    [
-      0.17082039324993692, 0.03767071033062529, 0.26054267138913345,
-      0.10653113849510304,
-    ],
-    [
-      0.17082039324993692, 0.12190497939060702, -0.25231131935570694,
-      -0.04613700927911148,
-    ],
-    [
-      0.17082039324993692, 0.12190497939060702, -0.21235549726535802,
-      -0.14385676307153888,
-    ],
-    [
-      0.17082039324993692, 0.12190497939060702, -0.018405862693472774,
-      0.25583363680084636,
-    ],
-    [
-      0.17082039324993692, 0.12190497939060702, 0.08619983758750455,
-      0.24157651686396625,
-    ],
-    [
-      0.17082039324993692, 0.12190497939060702, 0.1661114817682024,
-      -0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, 0.12190497939060702, 0.2307613599588308,
-      -0.11197687372930748,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, -0.18571828253845873,
-      0.14385676307153888,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, -0.031724470056922416,
-      -0.23276513216129063,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, 0.21744275259538115,
-      0.08890836908975175,
-    ],
-    [
-      0.17082039324993692, 0.19724640005185762, -0.19903688990190838,
-      0.04613700927911148,
-    ],
-    [
-      0.17082039324993692, 0.19724640005185762, -0.10969295561100045,
-      -0.17237100294529906,
-    ],
-    [
-      0.17082039324993692, 0.19724640005185762, -0.09443118962093106,
-      0.18118238764797473,
-    ],
-    [
-      0.17082039324993692, 0.19724640005185762, 0.05956262286060528,
-      -0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, 0.19724640005185762, 0.1394742670413031,
-      0.14930249830574333,
-    ],
-    [
-      0.17082039324993692, 0.19724640005185762, 0.2041241452319315,
-      -0.008811384702675652,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, -0.11598114901780718,
-      0.02306850463955574,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, -0.06659303681724818,
-      -0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, -0.05133127082717877,
-      0.10653113849510304,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, 0.03801266346372914,
-      -0.11197687372930748,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, 0.07796848555407804,
-      0.08890836908975175,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, 0.11792430764442696,
-      -0.008811384702675652,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, -0.10969295561100045,
-      -0.02306850463955574,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, -0.09443118962093106,
-      -0.06039412921599156,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, -0.005087255330023138,
-      0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, 0.03486856676032578,
-      0.10653113849510304,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, 0.07482438885067469,
-      -0.08346263385554731,
-    ],
-    [
-      0.19098300562505258, -0.24655800006482204, 0.09951844495095419,
-      -0.05158274451331592,
-    ],
-    [0.19098300562505258, -0.23216906909887494, -0.1394742670413031, 0.0],
-    [
-      0.19098300562505258, -0.23216906909887494, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, -0.23216906909887494, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.23216906909887494, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, -0.23216906909887494, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, -0.23216906909887494, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [0.19098300562505258, -0.20888728973419673, -0.1723996751750091, 0.0],
-    [
-      0.19098300562505258, -0.20888728973419673, -0.1230115629744501,
-      -0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, -0.04309991879375227,
-      0.16692526771109462,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, 0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, 0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, 0.1661114817682024,
-      -0.04613700927911148,
-    ],
-    [
-      0.19098300562505258, -0.1856055103695185, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      0.19098300562505258, -0.1856055103695185, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, -0.1856055103695185, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      0.19098300562505258, -0.1856055103695185, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      0.19098300562505258, -0.1856055103695185, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, -0.1856055103695185, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      0.19098300562505258, -0.17121657940357143, -0.20098004852852813,
-      -0.06039412921599156,
-    ],
-    [
-      0.19098300562505258, -0.17121657940357143, -0.18571828253845873,
-      -0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, -0.17121657940357143, 0.008231352033426498,
-      0.2096966275217349,
-    ],
-    [
-      0.19098300562505258, -0.17121657940357143, 0.048187174123775406,
-      0.20425089228753046,
-    ],
-    [
-      0.19098300562505258, -0.17121657940357143, 0.15279287440475275,
-      -0.14385676307153888,
-    ],
-    [
-      0.19098300562505258, -0.17121657940357143, 0.17748693050503223,
-      -0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, -0.20726824193533488,
-      0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, -0.18257418583505536,
-      0.16692526771109462,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, -0.05327442945379855,
-      -0.24157651686396625,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, -0.013318607363449638,
-      -0.2470222520981707,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, 0.22058684929878453,
-      0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, -0.11026408970826793, 0.23584861528885392,
-      0.07465124915287166,
-    ],
-    [
-      0.19098300562505258, -0.08698231034358969, -0.2307613599588308,
-      0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, -0.08698231034358969, -0.1661114817682024,
-      0.1954395075848548,
-    ],
-    [
-      0.19098300562505258, -0.08698231034358969, -0.08619983758750455,
-      -0.24157651686396625,
-    ],
-    [
-      0.19098300562505258, -0.08698231034358969, 0.018405862693472774,
-      -0.25583363680084636,
-    ],
-    [
-      0.19098300562505258, -0.08698231034358969, 0.21235549726535802,
-      0.14385676307153888,
-    ],
-    [
-      0.19098300562505258, -0.08698231034358969, 0.25231131935570694,
-      0.04613700927911148,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, -0.24407996732228043,
-      0.10653113849510304,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, -0.16416832314158258,
-      0.2096966275217349,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, -0.09951844495095419,
-      -0.2470222520981707,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, 0.02978131143030264,
-      -0.264645021503522,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, 0.21429865589197777,
-      0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, 0.26368676809253677,
-      0.03732562457643583,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, -0.25739857468573,
-      -0.08346263385554731,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, -0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, -0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, -0.17748693050503223,
-      0.20425089228753046,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, -0.08814299621412433,
-      -0.25583363680084636,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.056418526157201915,
-      0.264645021503522,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.20098004852852813,
-      -0.18118238764797473,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, -0.01164088968233911, 0.26562992671915653,
-      0.05158274451331592,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.26562992671915653,
-      -0.05158274451331592,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.22567410462880766,
-      -0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.22567410462880766,
-      0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.20098004852852813,
-      0.18118238764797473,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.056418526157201915,
-      -0.264645021503522,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.016462704066852997,
-      -0.2700907567377264,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, -0.016462704066852997,
-      0.2700907567377264,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, 0.08814299621412433,
-      0.25583363680084636,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, 0.17748693050503223,
-      -0.20425089228753046,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, 0.24213680869566062,
-      -0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, 0.24213680869566062,
-      0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, 0.01164088968233911, 0.25739857468573,
-      0.08346263385554731,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, -0.26368676809253677,
-      -0.03732562457643583,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, -0.21429865589197777,
-      -0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, -0.02978131143030264,
-      0.264645021503522,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, 0.09951844495095419,
-      0.2470222520981707,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, 0.16416832314158258,
-      -0.2096966275217349,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, 0.24407996732228043,
-      -0.10653113849510304,
-    ],
-    [
-      0.19098300562505258, 0.08698231034358969, -0.25231131935570694,
-      -0.04613700927911148,
-    ],
-    [
-      0.19098300562505258, 0.08698231034358969, -0.21235549726535802,
-      -0.14385676307153888,
-    ],
-    [
-      0.19098300562505258, 0.08698231034358969, -0.018405862693472774,
-      0.25583363680084636,
-    ],
-    [
-      0.19098300562505258, 0.08698231034358969, 0.08619983758750455,
-      0.24157651686396625,
-    ],
-    [
-      0.19098300562505258, 0.08698231034358969, 0.1661114817682024,
-      -0.1954395075848548,
-    ],
-    [
-      0.19098300562505258, 0.08698231034358969, 0.2307613599588308,
-      -0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, -0.23584861528885392,
-      -0.07465124915287166,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, -0.22058684929878453,
-      -0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, 0.013318607363449638,
-      0.2470222520981707,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, 0.05327442945379855,
-      0.24157651686396625,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, 0.18257418583505536,
-      -0.16692526771109462,
-    ],
-    [
-      0.19098300562505258, 0.11026408970826793, 0.20726824193533488,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.17121657940357143, -0.17748693050503223,
-      0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, 0.17121657940357143, -0.15279287440475275,
-      0.14385676307153888,
-    ],
-    [
-      0.19098300562505258, 0.17121657940357143, -0.048187174123775406,
-      -0.20425089228753046,
-    ],
-    [
-      0.19098300562505258, 0.17121657940357143, -0.008231352033426498,
-      -0.2096966275217349,
-    ],
-    [
-      0.19098300562505258, 0.17121657940357143, 0.18571828253845873,
-      0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, 0.17121657940357143, 0.20098004852852813,
-      0.06039412921599156,
-    ],
-    [
-      0.19098300562505258, 0.1856055103695185, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      0.19098300562505258, 0.1856055103695185, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, 0.1856055103695185, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      0.19098300562505258, 0.1856055103695185, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      0.19098300562505258, 0.1856055103695185, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, 0.1856055103695185, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, -0.1661114817682024,
-      0.04613700927911148,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, -0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, -0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, 0.04309991879375227,
-      -0.16692526771109462,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, 0.1230115629744501,
-      0.12078825843198313,
-    ],
-    [0.19098300562505258, 0.20888728973419673, 0.1723996751750091, 0.0],
-    [
-      0.19098300562505258, 0.23216906909887494, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      0.19098300562505258, 0.23216906909887494, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, 0.23216906909887494, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.19098300562505258, 0.23216906909887494, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      0.19098300562505258, 0.23216906909887494, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [0.19098300562505258, 0.23216906909887494, 0.1394742670413031, 0.0],
-    [
-      0.19098300562505258, 0.24655800006482204, -0.09951844495095419,
-      0.05158274451331592,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, -0.07482438885067469,
-      0.08346263385554731,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, -0.03486856676032578,
-      -0.10653113849510304,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, 0.005087255330023138,
-      -0.11197687372930748,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, 0.09443118962093106,
-      0.06039412921599156,
-    ],
-    [
-      0.19098300562505258, 0.24655800006482204, 0.10969295561100045,
-      0.02306850463955574,
-    ],
-    [
-      0.2034441853748633, -0.2393635345818485, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, -0.2393635345818485, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, -0.2393635345818485, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, -0.2393635345818485, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, -0.2393635345818485, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, -0.2393635345818485, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, -0.17841104488654497, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, -0.17841104488654497, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      0.2034441853748633, -0.17841104488654497, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      0.2034441853748633, -0.17841104488654497, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      0.2034441853748633, -0.17841104488654497, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      0.2034441853748633, -0.17841104488654497, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      0.2034441853748633, -0.14074033455591967, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, -0.14074033455591967, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      0.2034441853748633, -0.14074033455591967, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      0.2034441853748633, -0.11745855519124146, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, -0.11745855519124146, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      0.2034441853748633, -0.11745855519124146, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      0.2034441853748633, -0.11745855519124146, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      0.2034441853748633, -0.11745855519124146, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      0.2034441853748633, -0.11745855519124146, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [
-      0.2034441853748633, -0.04211713452999087, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, -0.04211713452999087, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.2034441853748633, -0.04211713452999087, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.2034441853748633, -0.018835355165312644, -0.24722406402568378,
-      0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, -0.018835355165312644, -0.14261836374470646,
-      0.21850801222441052,
-    ],
-    [
-      0.2034441853748633, -0.018835355165312644, -0.11792430764442696,
-      -0.23276513216129063,
-    ],
-    [
-      0.2034441853748633, -0.018835355165312644, 0.05133127082717877,
-      -0.25583363680084636,
-    ],
-    [
-      0.2034441853748633, -0.018835355165312644, 0.195892793198505,
-      0.17237100294529906,
-    ],
-    [
-      0.2034441853748633, -0.018835355165312644, 0.26054267138913345,
-      0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, 0.018835355165312644, -0.26054267138913345,
-      -0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, 0.018835355165312644, -0.195892793198505,
-      -0.17237100294529906,
-    ],
-    [
-      0.2034441853748633, 0.018835355165312644, -0.05133127082717877,
-      0.25583363680084636,
-    ],
-    [
-      0.2034441853748633, 0.018835355165312644, 0.11792430764442696,
-      0.23276513216129063,
-    ],
-    [
-      0.2034441853748633, 0.018835355165312644, 0.14261836374470646,
-      -0.21850801222441052,
-    ],
-    [
-      0.2034441853748633, 0.018835355165312644, 0.24722406402568378,
-      -0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, 0.04211713452999087, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.2034441853748633, 0.04211713452999087, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.2034441853748633, 0.04211713452999087, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, 0.11745855519124146, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      0.2034441853748633, 0.11745855519124146, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      0.2034441853748633, 0.11745855519124146, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      0.2034441853748633, 0.11745855519124146, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      0.2034441853748633, 0.11745855519124146, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      0.2034441853748633, 0.11745855519124146, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, 0.14074033455591967, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      0.2034441853748633, 0.14074033455591967, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      0.2034441853748633, 0.14074033455591967, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, 0.17841104488654497, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      0.2034441853748633, 0.17841104488654497, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      0.2034441853748633, 0.17841104488654497, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      0.2034441853748633, 0.17841104488654497, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      0.2034441853748633, 0.17841104488654497, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      0.2034441853748633, 0.17841104488654497, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, 0.2393635345818485, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      0.2034441853748633, 0.2393635345818485, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, 0.2393635345818485, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, 0.2393635345818485, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      0.2034441853748633, 0.2393635345818485, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      0.2034441853748633, 0.2393635345818485, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, -0.08111258225748141,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, -0.056418526157201915,
-      0.06920551391866722,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, -0.031724470056922416,
-      -0.08346263385554731,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, 0.008231352033426498,
-      -0.08890836908975175,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, 0.0728812302240549,
-      0.05158274451331592,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, 0.08814299621412433,
-      0.01425711993688009,
-    ],
-    [
-      0.223606797749979, -0.15238122423825878, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.15238122423825878, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, -0.15238122423825878, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      0.223606797749979, -0.15238122423825878, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      0.223606797749979, -0.15238122423825878, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      0.223606797749979, -0.15238122423825878, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.195892793198505,
-      0.06920551391866722,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.11598114901780718,
-      0.17237100294529906,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.09128709291752768,
-      -0.18662812288217914,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.03801266346372914,
-      -0.20425089228753046,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.1578801297347759,
-      0.1350453783688632,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.20726824193533488,
-      0.01425711993688009,
-    ],
-    [
-      0.223606797749979, -0.10581766550890234, -0.2041241452319315,
-      -0.08346263385554731,
-    ],
-    [
-      0.223606797749979, -0.10581766550890234, 0.02978131143030264,
-      0.21850801222441052,
-    ],
-    [
-      0.223606797749979, -0.10581766550890234, 0.17434283380162885,
-      -0.1350453783688632,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, -0.21744275259538115,
-      -0.08890836908975175,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, 0.031724470056922416,
-      0.23276513216129063,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, 0.18571828253845873,
-      -0.14385676307153888,
-    ],
-    [
-      0.223606797749979, -0.007194465482973537, -0.2389927119922573,
-      0.05158274451331592,
-    ],
-    [
-      0.223606797749979, -0.007194465482973537, -0.13438701171127998,
-      -0.20425089228753046,
-    ],
-    [
-      0.223606797749979, -0.007194465482973537, -0.10969295561100045,
-      0.21850801222441052,
-    ],
-    [
-      0.223606797749979, -0.007194465482973537, 0.07482438885067469,
-      -0.23276513216129063,
-    ],
-    [
-      0.223606797749979, -0.007194465482973537, 0.16416832314158258,
-      0.18118238764797473,
-    ],
-    [
-      0.223606797749979, -0.007194465482973537, 0.24407996732228043,
-      -0.01425711993688009,
-    ],
-    [
-      0.223606797749979, 0.007194465482973537, -0.24407996732228043,
-      0.01425711993688009,
-    ],
-    [
-      0.223606797749979, 0.007194465482973537, -0.16416832314158258,
-      -0.18118238764797473,
-    ],
-    [
-      0.223606797749979, 0.007194465482973537, -0.07482438885067469,
-      0.23276513216129063,
-    ],
-    [
-      0.223606797749979, 0.007194465482973537, 0.10969295561100045,
-      -0.21850801222441052,
-    ],
-    [
-      0.223606797749979, 0.007194465482973537, 0.13438701171127998,
-      0.20425089228753046,
-    ],
-    [
-      0.223606797749979, 0.007194465482973537, 0.2389927119922573,
-      -0.05158274451331592,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, -0.18571828253845873,
-      0.14385676307153888,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, -0.031724470056922416,
-      -0.23276513216129063,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, 0.21744275259538115,
-      0.08890836908975175,
-    ],
-    [
-      0.223606797749979, 0.10581766550890234, -0.17434283380162885,
-      0.1350453783688632,
-    ],
-    [
-      0.223606797749979, 0.10581766550890234, -0.02978131143030264,
-      -0.21850801222441052,
-    ],
-    [
-      0.223606797749979, 0.10581766550890234, 0.2041241452319315,
-      0.08346263385554731,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.20726824193533488,
-      -0.01425711993688009,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.1578801297347759,
-      -0.1350453783688632,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.03801266346372914,
-      0.20425089228753046,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.09128709291752768,
-      0.18662812288217914,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.11598114901780718,
-      -0.17237100294529906,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.195892793198505,
-      -0.06920551391866722,
-    ],
-    [
-      0.223606797749979, 0.15238122423825878, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      0.223606797749979, 0.15238122423825878, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      0.223606797749979, 0.15238122423825878, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      0.223606797749979, 0.15238122423825878, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      0.223606797749979, 0.15238122423825878, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.15238122423825878, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, -0.08814299621412433,
-      -0.01425711993688009,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, -0.0728812302240549,
-      -0.05158274451331592,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, -0.008231352033426498,
-      0.08890836908975175,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, 0.031724470056922416,
-      0.08346263385554731,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, 0.056418526157201915,
-      -0.06920551391866722,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, 0.08111258225748141,
-      -0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, -0.21608175521717027, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, -0.21608175521717027, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, -0.21608175521717027, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      0.24376941012509462, -0.2016928242512232, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, -0.2016928242512232, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.24376941012509462, -0.2016928242512232, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, -0.14074033455591967, -0.16416832314158258,
-      0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, -0.14074033455591967, -0.09951844495095419,
-      0.14385676307153888,
-    ],
-    [
-      0.24376941012509462, -0.14074033455591967, -0.07482438885067469,
-      -0.15811388300841894,
-    ],
-    [
-      0.24376941012509462, -0.14074033455591967, 0.02978131143030264,
-      -0.17237100294529906,
-    ],
-    [
-      0.24376941012509462, -0.14074033455591967, 0.13438701171127998,
-      0.11197687372930748,
-    ],
-    [
-      0.24376941012509462, -0.14074033455591967, 0.17434283380162885,
-      0.01425711993688009,
-    ],
-    [
-      0.24376941012509462, -0.11745855519124146, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, -0.11745855519124146, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      0.24376941012509462, -0.11745855519124146, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      0.24376941012509462, -0.11745855519124146, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      0.24376941012509462, -0.11745855519124146, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      0.24376941012509462, -0.11745855519124146, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      0.24376941012509462, -0.07978784486061616, -0.20098004852852813,
-      -0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, -0.07978784486061616, -0.18571828253845873,
-      -0.0977197537924274,
-    ],
-    [
-      0.24376941012509462, -0.07978784486061616, 0.008231352033426498,
-      0.2096966275217349,
-    ],
-    [
-      0.24376941012509462, -0.07978784486061616, 0.048187174123775406,
-      0.20425089228753046,
-    ],
-    [
-      0.24376941012509462, -0.07978784486061616, 0.15279287440475275,
-      -0.14385676307153888,
-    ],
-    [
-      0.24376941012509462, -0.07978784486061616, 0.17748693050503223,
-      -0.11197687372930748,
-    ],
-    [
-      0.24376941012509462, -0.018835355165312644, -0.22253000792540428,
-      0.02306850463955574,
-    ],
-    [
-      0.24376941012509462, -0.018835355165312644, -0.14261836374470646,
-      -0.17237100294529906,
-    ],
-    [
-      0.24376941012509462, -0.018835355165312644, -0.07796848555407804,
-      0.2096966275217349,
-    ],
-    [
-      0.24376941012509462, -0.018835355165312644, 0.09128709291752768,
-      -0.20425089228753046,
-    ],
-    [
-      0.24376941012509462, -0.018835355165312644, 0.1312429150078766,
-      0.18118238764797473,
-    ],
-    [
-      0.24376941012509462, -0.018835355165312644, 0.22058684929878453,
-      -0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, 0.018835355165312644, -0.22058684929878453,
-      0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, 0.018835355165312644, -0.1312429150078766,
-      -0.18118238764797473,
-    ],
-    [
-      0.24376941012509462, 0.018835355165312644, -0.09128709291752768,
-      0.20425089228753046,
-    ],
-    [
-      0.24376941012509462, 0.018835355165312644, 0.07796848555407804,
-      -0.2096966275217349,
-    ],
-    [
-      0.24376941012509462, 0.018835355165312644, 0.14261836374470646,
-      0.17237100294529906,
-    ],
-    [
-      0.24376941012509462, 0.018835355165312644, 0.22253000792540428,
-      -0.02306850463955574,
-    ],
-    [
-      0.24376941012509462, 0.07978784486061616, -0.17748693050503223,
-      0.11197687372930748,
-    ],
-    [
-      0.24376941012509462, 0.07978784486061616, -0.15279287440475275,
-      0.14385676307153888,
-    ],
-    [
-      0.24376941012509462, 0.07978784486061616, -0.048187174123775406,
-      -0.20425089228753046,
-    ],
-    [
-      0.24376941012509462, 0.07978784486061616, -0.008231352033426498,
-      -0.2096966275217349,
-    ],
-    [
-      0.24376941012509462, 0.07978784486061616, 0.18571828253845873,
-      0.0977197537924274,
-    ],
-    [
-      0.24376941012509462, 0.07978784486061616, 0.20098004852852813,
-      0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, 0.11745855519124146, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      0.24376941012509462, 0.11745855519124146, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      0.24376941012509462, 0.11745855519124146, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      0.24376941012509462, 0.11745855519124146, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      0.24376941012509462, 0.11745855519124146, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      0.24376941012509462, 0.11745855519124146, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, 0.14074033455591967, -0.17434283380162885,
-      -0.01425711993688009,
-    ],
-    [
-      0.24376941012509462, 0.14074033455591967, -0.13438701171127998,
-      -0.11197687372930748,
-    ],
-    [
-      0.24376941012509462, 0.14074033455591967, -0.02978131143030264,
-      0.17237100294529906,
-    ],
-    [
-      0.24376941012509462, 0.14074033455591967, 0.07482438885067469,
-      0.15811388300841894,
-    ],
-    [
-      0.24376941012509462, 0.14074033455591967, 0.09951844495095419,
-      -0.14385676307153888,
-    ],
-    [
-      0.24376941012509462, 0.14074033455591967, 0.16416832314158258,
-      -0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, 0.2016928242512232, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.24376941012509462, 0.2016928242512232, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.24376941012509462, 0.2016928242512232, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, 0.21608175521717027, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.24376941012509462, 0.21608175521717027, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.24376941012509462, 0.21608175521717027, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.2562305898749053, -0.20888728973419673, -0.018405862693472774,
-      0.01425711993688009,
-    ],
-    [
-      0.2562305898749053, -0.20888728973419673, -0.0031440967034033623,
-      -0.02306850463955574,
-    ],
-    [
-      0.2562305898749053, -0.20888728973419673, 0.021549959396876137,
-      0.008811384702675652,
-    ],
-    [
-      0.2562305898749053, -0.17121657940357143, -0.09637434824755081,
-      0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, -0.17121657940357143, -0.016462704066852997,
-      -0.12078825843198313,
-    ],
-    [
-      0.2562305898749053, -0.17121657940357143, 0.11283705231440383,
-      0.04613700927911148,
-    ],
-    [
-      0.2562305898749053, -0.1479348000388932, -0.12929975638125685,
-      0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, -0.1479348000388932, -0.10460570028097732,
-      0.10653113849510304,
-    ],
-    [
-      0.2562305898749053, -0.1479348000388932, -0.03995582209034891,
-      -0.14385676307153888,
-    ],
-    [0.2562305898749053, -0.1479348000388932, 0.0, -0.14930249830574333],
-    [
-      0.2562305898749053, -0.1479348000388932, 0.12929975638125685,
-      0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, -0.1479348000388932, 0.14456152237132625,
-      0.03732562457643583,
-    ],
-    [
-      0.2562305898749053, -0.08698231034358969, -0.19080553786848187,
-      0.01425711993688009,
-    ],
-    [
-      0.2562305898749053, -0.08698231034358969, -0.12615565967785347,
-      -0.14385676307153888,
-    ],
-    [
-      0.2562305898749053, -0.08698231034358969, -0.06150578148722505,
-      0.18118238764797473,
-    ],
-    [
-      0.2562305898749053, -0.08698231034358969, 0.0830557408841012,
-      -0.17237100294529906,
-    ],
-    [
-      0.2562305898749053, -0.08698231034358969, 0.10774979698438068,
-      0.15811388300841894,
-    ],
-    [
-      0.2562305898749053, -0.08698231034358969, 0.1876614411650785,
-      -0.03732562457643583,
-    ],
-    [
-      0.2562305898749053, -0.07259337937764263, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      0.2562305898749053, -0.07259337937764263, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      0.2562305898749053, -0.07259337937764263, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      0.2562305898749053, -0.07259337937764263, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      0.2562305898749053, -0.07259337937764263, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      0.2562305898749053, -0.07259337937764263, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, -0.049311600012964404, -0.2041241452319315,
-      0.008811384702675652,
-    ],
-    [
-      0.2562305898749053, -0.049311600012964404, -0.1394742670413031,
-      -0.14930249830574333,
-    ],
-    [
-      0.2562305898749053, -0.049311600012964404, -0.05956262286060528,
-      0.1954395075848548,
-    ],
-    [
-      0.2562305898749053, -0.049311600012964404, 0.09443118962093106,
-      -0.18118238764797473,
-    ],
-    [
-      0.2562305898749053, -0.049311600012964404, 0.10969295561100045,
-      0.17237100294529906,
-    ],
-    [
-      0.2562305898749053, -0.049311600012964404, 0.19903688990190838,
-      -0.04613700927911148,
-    ],
-    [
-      0.2562305898749053, 0.049311600012964404, -0.19903688990190838,
-      0.04613700927911148,
-    ],
-    [
-      0.2562305898749053, 0.049311600012964404, -0.10969295561100045,
-      -0.17237100294529906,
-    ],
-    [
-      0.2562305898749053, 0.049311600012964404, -0.09443118962093106,
-      0.18118238764797473,
-    ],
-    [
-      0.2562305898749053, 0.049311600012964404, 0.05956262286060528,
-      -0.1954395075848548,
-    ],
-    [
-      0.2562305898749053, 0.049311600012964404, 0.1394742670413031,
-      0.14930249830574333,
-    ],
-    [
-      0.2562305898749053, 0.049311600012964404, 0.2041241452319315,
-      -0.008811384702675652,
-    ],
-    [
-      0.2562305898749053, 0.07259337937764263, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, 0.07259337937764263, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      0.2562305898749053, 0.07259337937764263, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      0.2562305898749053, 0.07259337937764263, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      0.2562305898749053, 0.07259337937764263, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      0.2562305898749053, 0.07259337937764263, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [
-      0.2562305898749053, 0.08698231034358969, -0.1876614411650785,
-      0.03732562457643583,
-    ],
-    [
-      0.2562305898749053, 0.08698231034358969, -0.10774979698438068,
-      -0.15811388300841894,
-    ],
-    [
-      0.2562305898749053, 0.08698231034358969, -0.0830557408841012,
-      0.17237100294529906,
-    ],
-    [
-      0.2562305898749053, 0.08698231034358969, 0.06150578148722505,
-      -0.18118238764797473,
-    ],
-    [
-      0.2562305898749053, 0.08698231034358969, 0.12615565967785347,
-      0.14385676307153888,
-    ],
-    [
-      0.2562305898749053, 0.08698231034358969, 0.19080553786848187,
-      -0.01425711993688009,
-    ],
-    [
-      0.2562305898749053, 0.1479348000388932, -0.14456152237132625,
-      -0.03732562457643583,
-    ],
-    [
-      0.2562305898749053, 0.1479348000388932, -0.12929975638125685,
-      -0.07465124915287166,
-    ],
-    [0.2562305898749053, 0.1479348000388932, 0.0, 0.14930249830574333],
-    [
-      0.2562305898749053, 0.1479348000388932, 0.03995582209034891,
-      0.14385676307153888,
-    ],
-    [
-      0.2562305898749053, 0.1479348000388932, 0.10460570028097732,
-      -0.10653113849510304,
-    ],
-    [
-      0.2562305898749053, 0.1479348000388932, 0.12929975638125685,
-      -0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, 0.17121657940357143, -0.11283705231440383,
-      -0.04613700927911148,
-    ],
-    [
-      0.2562305898749053, 0.17121657940357143, 0.016462704066852997,
-      0.12078825843198313,
-    ],
-    [
-      0.2562305898749053, 0.17121657940357143, 0.09637434824755081,
-      -0.07465124915287166,
-    ],
-    [
-      0.2562305898749053, 0.20888728973419673, -0.021549959396876137,
-      -0.008811384702675652,
-    ],
-    [
-      0.2562305898749053, 0.20888728973419673, 0.0031440967034033623,
-      0.02306850463955574,
-    ],
-    [
-      0.2562305898749053, 0.20888728973419673, 0.018405862693472774,
-      -0.01425711993688009,
-    ],
-    [0.27639320225002106, -0.18285746908591055, 0.0, 0.0],
-    [
-      0.27639320225002106, -0.13629391035655408, -0.09637434824755081,
-      0.07465124915287166,
-    ],
-    [
-      0.27639320225002106, -0.13629391035655408, -0.016462704066852997,
-      -0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, -0.13629391035655408, 0.11283705231440383,
-      0.04613700927911148,
-    ],
-    [0.27639320225002106, -0.06095248969530351, -0.1723996751750091, 0.0],
-    [
-      0.27639320225002106, -0.06095248969530351, -0.1230115629744501,
-      -0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, -0.06095248969530351, -0.04309991879375227,
-      0.16692526771109462,
-    ],
-    [
-      0.27639320225002106, -0.06095248969530351, 0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      0.27639320225002106, -0.06095248969530351, 0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      0.27639320225002106, -0.06095248969530351, 0.1661114817682024,
-      -0.04613700927911148,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, -0.1661114817682024,
-      0.04613700927911148,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, -0.08619983758750455,
-      -0.14930249830574333,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, -0.08619983758750455,
-      0.14930249830574333,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, 0.04309991879375227,
-      -0.16692526771109462,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, 0.1230115629744501,
-      0.12078825843198313,
-    ],
-    [0.27639320225002106, 0.06095248969530351, 0.1723996751750091, 0.0],
-    [
-      0.27639320225002106, 0.13629391035655408, -0.11283705231440383,
-      -0.04613700927911148,
-    ],
-    [
-      0.27639320225002106, 0.13629391035655408, 0.016462704066852997,
-      0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, 0.13629391035655408, 0.09637434824755081,
-      -0.07465124915287166,
-    ],
-    [0.27639320225002106, 0.18285746908591055, 0.0, 0.0],
-    [0.2965558146251367, -0.1479348000388932, 0.0, 0.0],
-    [
-      0.2965558146251367, -0.11026408970826793, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.2965558146251367, -0.11026408970826793, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.2965558146251367, -0.11026408970826793, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [0.2965558146251367, -0.049311600012964404, -0.1394742670413031, 0.0],
-    [
-      0.2965558146251367, -0.049311600012964404, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      0.2965558146251367, -0.049311600012964404, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      0.2965558146251367, -0.049311600012964404, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.2965558146251367, -0.049311600012964404, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.2965558146251367, -0.049311600012964404, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      0.2965558146251367, 0.049311600012964404, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      0.2965558146251367, 0.049311600012964404, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.2965558146251367, 0.049311600012964404, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.2965558146251367, 0.049311600012964404, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      0.2965558146251367, 0.049311600012964404, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [0.2965558146251367, 0.049311600012964404, 0.1394742670413031, 0.0],
-    [
-      0.2965558146251367, 0.11026408970826793, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.2965558146251367, 0.11026408970826793, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.2965558146251367, 0.11026408970826793, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [0.2965558146251367, 0.1479348000388932, 0.0, 0.0],
-    [
-      0.30901699437494745, -0.11745855519124146, -0.018405862693472774,
-      0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, -0.11745855519124146, -0.0031440967034033623,
-      -0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, -0.11745855519124146, 0.021549959396876137,
-      0.008811384702675652,
-    ],
-    [
-      0.30901699437494745, -0.10306962422529438, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, -0.10306962422529438, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, -0.10306962422529438, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, -0.08111258225748141,
-      0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, -0.056418526157201915,
-      0.06920551391866722,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, -0.031724470056922416,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, 0.008231352033426498,
-      -0.08890836908975175,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, 0.0728812302240549,
-      0.05158274451331592,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, 0.08814299621412433,
-      0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, -0.05650606549593794, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, -0.05650606549593794, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.05650606549593794, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, -0.05650606549593794, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, -0.05650606549593794, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.05650606549593794, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, -0.10969295561100045,
-      -0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, -0.09443118962093106,
-      -0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, -0.005087255330023138,
-      0.11197687372930748,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, 0.03486856676032578,
-      0.10653113849510304,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, 0.07482438885067469,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, -0.04211713452999087, 0.09951844495095419,
-      -0.05158274451331592,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, -0.11792430764442696,
-      0.008811384702675652,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, -0.07796848555407804,
-      -0.08890836908975175,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, -0.03801266346372914,
-      0.11197687372930748,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, 0.05133127082717877,
-      -0.10653113849510304,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, 0.06659303681724818,
-      0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, 0.11598114901780718,
-      -0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, -0.11598114901780718,
-      0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, -0.06659303681724818,
-      -0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, -0.05133127082717877,
-      0.10653113849510304,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, 0.03801266346372914,
-      -0.11197687372930748,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, 0.07796848555407804,
-      0.08890836908975175,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, 0.11792430764442696,
-      -0.008811384702675652,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, -0.09951844495095419,
-      0.05158274451331592,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, -0.07482438885067469,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, -0.03486856676032578,
-      -0.10653113849510304,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, 0.005087255330023138,
-      -0.11197687372930748,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, 0.09443118962093106,
-      0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, 0.04211713452999087, 0.10969295561100045,
-      0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, 0.05650606549593794, -0.10460570028097732,
-      0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, 0.05650606549593794, -0.06464987819062842,
-      -0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.05650606549593794, -0.03995582209034891,
-      0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, 0.05650606549593794, 0.03995582209034891,
-      -0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, 0.05650606549593794, 0.06464987819062842,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.05650606549593794, 0.10460570028097732,
-      -0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, -0.08814299621412433,
-      -0.01425711993688009,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, -0.0728812302240549,
-      -0.05158274451331592,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, -0.008231352033426498,
-      0.08890836908975175,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, 0.031724470056922416,
-      0.08346263385554731,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, 0.056418526157201915,
-      -0.06920551391866722,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, 0.08111258225748141,
-      -0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, 0.10306962422529438, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, 0.10306962422529438, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, 0.10306962422529438, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, 0.11745855519124146, -0.021549959396876137,
-      -0.008811384702675652,
-    ],
-    [
-      0.30901699437494745, 0.11745855519124146, 0.0031440967034033623,
-      0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, 0.11745855519124146, 0.018405862693472774,
-      -0.01425711993688009,
-    ],
-  ],
-  faces: [
-    [8, 9, 15, 27, 33, 39, 38, 31, 25, 13],
-    [20, 21, 28, 34, 46, 51, 50, 44, 32, 26],
-    [0, 1, 2],
-    [57, 58, 59],
-    [12, 18, 24],
-    [35, 41, 47],
-    [14, 20, 26],
-    [33, 39, 45],
-    [15, 22, 27],
-    [16, 21, 28],
-    [31, 38, 43],
-    [32, 37, 44],
-    [0, 2, 5, 10, 16, 21, 20, 14, 7, 3],
-    [6, 7, 14, 26, 32, 37, 36, 30, 24, 12],
-    [22, 23, 29, 35, 47, 53, 52, 45, 33, 27],
-    [38, 39, 45, 52, 56, 59, 57, 54, 49, 43],
-    [4, 8, 9],
-    [13, 19, 25],
-    [34, 40, 46],
-    [50, 51, 55],
-    [1, 2, 5, 11, 17, 23, 22, 15, 9, 4],
-    [10, 11, 17, 29, 35, 41, 40, 34, 28, 16],
-    [18, 19, 25, 31, 43, 49, 48, 42, 30, 24],
-    [36, 37, 44, 50, 55, 58, 57, 54, 48, 42],
-    [3, 6, 7],
-    [52, 53, 56],
-    [0, 1, 4, 8, 13, 19, 18, 12, 6, 3],
-    [40, 41, 47, 53, 56, 59, 58, 55, 51, 46],
-    [5, 10, 11],
-    [17, 23, 29],
-    [30, 36, 42],
-    [48, 49, 54],
-    [0, 2, 60],
-    [1, 2, 60],
-    [0, 1, 60],
-    [3, 6, 61],
-    [3, 7, 61],
-    [6, 7, 61],
-    [8, 9, 62],
-    [4, 8, 62],
-    [4, 9, 62],
-    [5, 11, 63],
-    [5, 10, 63],
-    [10, 11, 63],
-    [12, 24, 64],
-    [18, 24, 64],
-    [12, 18, 64],
-    [13, 25, 65],
-    [13, 19, 65],
-    [19, 25, 65],
-    [20, 26, 66],
-    [14, 20, 66],
-    [14, 26, 66],
-    [15, 27, 67],
-    [15, 22, 67],
-    [22, 27, 67],
-    [21, 28, 68],
-    [16, 28, 68],
-    [16, 21, 68],
-    [17, 29, 69],
-    [23, 29, 69],
-    [17, 23, 69],
-    [30, 42, 70],
-    [30, 36, 70],
-    [36, 42, 70],
-    [31, 38, 71],
-    [31, 43, 71],
-    [38, 43, 71],
-    [32, 44, 72],
-    [37, 44, 72],
-    [32, 37, 72],
-    [33, 39, 73],
-    [33, 45, 73],
-    [39, 45, 73],
-    [34, 46, 74],
-    [40, 46, 74],
-    [34, 40, 74],
-    [35, 47, 75],
-    [35, 41, 75],
-    [41, 47, 75],
-    [48, 54, 76],
-    [49, 54, 76],
-    [48, 49, 76],
-    [50, 51, 77],
-    [51, 55, 77],
-    [50, 55, 77],
-    [53, 56, 78],
-    [52, 53, 78],
-    [52, 56, 78],
-    [57, 59, 79],
-    [57, 58, 79],
-    [58, 59, 79],
-    [0, 3, 61, 81, 103, 163, 160, 100, 80, 60],
-    [1, 4, 62, 82, 104, 164, 161, 101, 80, 60],
-    [6, 12, 64, 84, 112, 172, 166, 106, 81, 61],
-    [8, 13, 65, 85, 113, 173, 168, 108, 82, 62],
-    [18, 19, 65, 85, 119, 179, 178, 118, 84, 64],
-    [81, 103, 106],
-    [82, 104, 108],
-    [85, 113, 119],
-    [168, 173, 227],
-    [80, 100, 101],
-    [84, 112, 118],
-    [160, 163, 220],
-    [166, 172, 226],
-    [103, 106, 166, 226, 286, 352, 346, 280, 220, 163],
-    [104, 108, 168, 227, 287, 353, 347, 281, 222, 164],
-    [113, 119, 179, 238, 292, 365, 359, 287, 227, 173],
-    [287, 353, 359],
-    [161, 164, 222],
-    [178, 179, 238],
-    [280, 340, 346],
-    [286, 352, 358],
-    [100, 101, 161, 222, 281, 341, 340, 280, 220, 160],
-    [112, 118, 178, 238, 292, 364, 358, 286, 226, 172],
-    [281, 341, 347],
-    [292, 364, 365],
-    [340, 341, 347, 353, 359, 365, 364, 358, 352, 346],
-    [2, 5, 63, 83, 105, 165, 162, 102, 80, 60],
-    [7, 14, 66, 86, 114, 174, 167, 107, 81, 61],
-    [20, 21, 68, 88, 121, 181, 180, 120, 86, 66],
-    [10, 16, 68, 88, 116, 176, 170, 110, 83, 63],
-    [80, 100, 102],
-    [83, 105, 110],
-    [86, 114, 120],
-    [162, 165, 224],
-    [180, 181, 239],
-    [81, 103, 107],
-    [103, 107, 167, 228, 288, 354, 348, 282, 221, 163],
-    [88, 116, 121],
-    [160, 163, 221],
-    [114, 120, 180, 239, 293, 366, 360, 288, 228, 174],
-    [100, 102, 162, 224, 284, 343, 342, 282, 221, 160],
-    [116, 121, 181, 239, 293, 367, 361, 290, 230, 176],
-    [293, 366, 367],
-    [167, 174, 228],
-    [288, 354, 360],
-    [342, 343, 350, 356, 361, 367, 366, 360, 354, 348],
-    [105, 110, 170, 230, 290, 356, 350, 284, 224, 165],
-    [290, 356, 361],
-    [284, 343, 350],
-    [170, 176, 230],
-    [282, 342, 348],
-    [11, 17, 69, 89, 117, 177, 171, 111, 83, 63],
-    [9, 15, 67, 87, 115, 175, 169, 109, 82, 62],
-    [22, 23, 69, 89, 123, 183, 182, 122, 87, 67],
-    [83, 105, 111],
-    [87, 115, 122],
-    [80, 101, 102],
-    [82, 104, 109],
-    [162, 165, 225],
-    [169, 175, 229],
-    [117, 123, 183, 240, 294, 369, 363, 291, 231, 177],
-    [115, 122, 182, 240, 294, 368, 362, 289, 229, 175],
-    [171, 177, 231],
-    [105, 111, 171, 231, 291, 357, 351, 285, 225, 165],
-    [104, 109, 169, 229, 289, 355, 349, 283, 223, 164],
-    [182, 183, 240],
-    [89, 117, 123],
-    [289, 355, 362],
-    [101, 102, 162, 225, 285, 345, 344, 283, 223, 161],
-    [294, 368, 369],
-    [285, 345, 351],
-    [344, 345, 351, 357, 363, 369, 368, 362, 355, 349],
-    [291, 357, 363],
-    [283, 344, 349],
-    [161, 164, 223],
-    [24, 30, 70, 90, 130, 190, 184, 124, 84, 64],
-    [26, 32, 72, 92, 132, 192, 186, 126, 86, 66],
-    [36, 37, 72, 92, 137, 197, 196, 136, 90, 70],
-    [84, 112, 124],
-    [90, 130, 136],
-    [86, 114, 126],
-    [184, 190, 244],
-    [186, 192, 246],
-    [106, 107, 167, 233, 296, 371, 370, 295, 232, 166],
-    [81, 106, 107],
-    [92, 132, 137],
-    [166, 172, 232],
-    [114, 126, 186, 246, 305, 383, 377, 296, 233, 174],
-    [112, 124, 184, 244, 304, 382, 376, 295, 232, 172],
-    [132, 137, 197, 256, 316, 403, 391, 305, 246, 192],
-    [305, 383, 391],
-    [167, 174, 233],
-    [296, 371, 377],
-    [370, 371, 377, 383, 391, 403, 402, 390, 382, 376],
-    [130, 136, 196, 256, 316, 402, 390, 304, 244, 190],
-    [316, 402, 403],
-    [304, 382, 390],
-    [196, 197, 256],
-    [295, 370, 376],
-    [25, 31, 71, 91, 131, 191, 185, 125, 85, 65],
-    [27, 33, 73, 93, 133, 193, 187, 127, 87, 67],
-    [38, 39, 73, 93, 139, 199, 198, 138, 91, 71],
-    [82, 108, 109],
-    [85, 113, 125],
-    [108, 109, 169, 235, 298, 373, 372, 297, 234, 168],
-    [113, 125, 185, 245, 306, 384, 378, 297, 234, 173],
-    [87, 115, 127],
-    [91, 131, 138],
-    [168, 173, 234],
-    [372, 373, 379, 385, 393, 405, 404, 392, 384, 378],
-    [133, 139, 199, 257, 317, 405, 393, 307, 247, 193],
-    [93, 133, 139],
-    [307, 385, 393],
-    [317, 404, 405],
-    [298, 373, 379],
-    [306, 384, 392],
-    [115, 127, 187, 247, 307, 385, 379, 298, 235, 175],
-    [131, 138, 198, 257, 317, 404, 392, 306, 245, 191],
-    [297, 372, 378],
-    [169, 175, 235],
-    [185, 191, 245],
-    [187, 193, 247],
-    [198, 199, 257],
-    [29, 35, 75, 95, 135, 195, 189, 129, 89, 69],
-    [28, 34, 74, 94, 134, 194, 188, 128, 88, 68],
-    [40, 41, 75, 95, 141, 201, 200, 140, 94, 74],
-    [89, 117, 129],
-    [88, 116, 128],
-    [95, 135, 141],
-    [94, 134, 140],
-    [189, 195, 249],
-    [188, 194, 248],
-    [110, 111, 171, 237, 300, 375, 374, 299, 236, 170],
-    [116, 128, 188, 248, 308, 386, 380, 299, 236, 176],
-    [171, 177, 237],
-    [117, 129, 189, 249, 309, 387, 381, 300, 237, 177],
-    [134, 140, 200, 258, 318, 410, 398, 308, 248, 194],
-    [170, 176, 236],
-    [83, 110, 111],
-    [308, 386, 398],
-    [135, 141, 201, 258, 318, 411, 399, 309, 249, 195],
-    [299, 374, 380],
-    [309, 387, 399],
-    [300, 375, 381],
-    [374, 375, 381, 387, 399, 411, 410, 398, 386, 380],
-    [318, 410, 411],
-    [200, 201, 258],
-    [42, 48, 76, 96, 148, 208, 202, 142, 90, 70],
-    [43, 49, 76, 96, 149, 209, 203, 143, 91, 71],
-    [90, 130, 142],
-    [91, 131, 143],
-    [84, 118, 124],
-    [85, 119, 125],
-    [184, 190, 250],
-    [185, 191, 251],
-    [148, 149, 209, 263, 320, 425, 424, 319, 262, 208],
-    [131, 143, 203, 263, 320, 419, 413, 311, 251, 191],
-    [202, 208, 262],
-    [130, 142, 202, 262, 319, 418, 412, 310, 250, 190],
-    [119, 125, 185, 251, 311, 401, 389, 301, 241, 179],
-    [203, 209, 263],
-    [96, 148, 149],
-    [311, 401, 413],
-    [118, 124, 184, 250, 310, 400, 388, 301, 241, 178],
-    [320, 419, 425],
-    [310, 400, 412],
-    [388, 389, 401, 413, 419, 425, 424, 418, 412, 400],
-    [319, 418, 424],
-    [301, 388, 389],
-    [178, 179, 241],
-    [46, 51, 77, 97, 151, 211, 206, 146, 94, 74],
-    [44, 50, 77, 97, 150, 210, 204, 144, 92, 72],
-    [94, 134, 146],
-    [97, 150, 151],
-    [150, 151, 211, 265, 322, 427, 426, 321, 264, 210],
-    [134, 146, 206, 265, 322, 421, 415, 313, 254, 194],
-    [88, 121, 128],
-    [92, 132, 144],
-    [86, 120, 126],
-    [120, 126, 186, 252, 312, 406, 394, 302, 242, 180],
-    [394, 395, 407, 415, 421, 427, 426, 420, 414, 406],
-    [206, 211, 265],
-    [302, 394, 395],
-    [312, 406, 414],
-    [313, 407, 415],
-    [321, 420, 426],
-    [121, 128, 188, 254, 313, 407, 395, 302, 242, 181],
-    [132, 144, 204, 264, 321, 420, 414, 312, 252, 192],
-    [322, 421, 427],
-    [188, 194, 254],
-    [204, 210, 264],
-    [180, 181, 242],
-    [186, 192, 252],
-    [45, 52, 78, 98, 152, 212, 205, 145, 93, 73],
-    [47, 53, 78, 98, 153, 213, 207, 147, 95, 75],
-    [95, 135, 147],
-    [89, 123, 129],
-    [93, 133, 145],
-    [189, 195, 255],
-    [187, 193, 253],
-    [152, 153, 213, 267, 324, 429, 428, 323, 266, 212],
-    [98, 152, 153],
-    [87, 122, 127],
-    [133, 145, 205, 266, 323, 422, 416, 314, 253, 193],
-    [207, 213, 267],
-    [122, 127, 187, 253, 314, 408, 396, 303, 243, 182],
-    [135, 147, 207, 267, 324, 423, 417, 315, 255, 195],
-    [314, 408, 416],
-    [205, 212, 266],
-    [323, 422, 428],
-    [123, 129, 189, 255, 315, 409, 397, 303, 243, 183],
-    [396, 397, 409, 417, 423, 429, 428, 422, 416, 408],
-    [303, 396, 397],
-    [315, 409, 417],
-    [182, 183, 243],
-    [324, 423, 429],
-    [54, 57, 79, 99, 157, 217, 214, 154, 96, 76],
-    [55, 58, 79, 99, 158, 218, 215, 155, 97, 77],
-    [96, 148, 154],
-    [92, 137, 144],
-    [99, 157, 158],
-    [97, 150, 155],
-    [214, 217, 274],
-    [204, 210, 270],
-    [136, 142, 202, 268, 328, 436, 430, 325, 259, 196],
-    [137, 144, 204, 270, 330, 437, 431, 325, 259, 197],
-    [202, 208, 268],
-    [148, 154, 214, 274, 334, 448, 442, 328, 268, 208],
-    [150, 155, 215, 276, 336, 450, 444, 330, 270, 210],
-    [196, 197, 259],
-    [90, 136, 142],
-    [330, 437, 444],
-    [157, 158, 218, 276, 336, 455, 454, 334, 274, 217],
-    [325, 430, 431],
-    [334, 448, 454],
-    [328, 436, 442],
-    [430, 431, 437, 444, 450, 455, 454, 448, 442, 436],
-    [336, 450, 455],
-    [215, 218, 276],
-    [56, 59, 79, 99, 159, 219, 216, 156, 98, 78],
-    [99, 157, 159],
-    [96, 149, 154],
-    [93, 139, 145],
-    [214, 217, 275],
-    [198, 199, 260],
-    [98, 152, 156],
-    [152, 156, 216, 278, 337, 451, 445, 331, 271, 212],
-    [91, 138, 143],
-    [139, 145, 205, 271, 331, 439, 433, 326, 260, 199],
-    [216, 219, 278],
-    [138, 143, 203, 269, 329, 438, 432, 326, 260, 198],
-    [157, 159, 219, 278, 337, 457, 456, 335, 275, 217],
-    [326, 432, 433],
-    [205, 212, 271],
-    [331, 439, 445],
-    [149, 154, 214, 275, 335, 449, 443, 329, 269, 209],
-    [432, 433, 439, 445, 451, 457, 456, 449, 443, 438],
-    [329, 438, 443],
-    [335, 449, 456],
-    [203, 209, 269],
-    [337, 451, 457],
-    [98, 153, 156],
-    [94, 140, 146],
-    [97, 151, 155],
-    [206, 211, 272],
-    [95, 141, 147],
-    [99, 158, 159],
-    [207, 213, 273],
-    [216, 219, 279],
-    [153, 156, 216, 279, 339, 453, 447, 333, 273, 213],
-    [140, 146, 206, 272, 332, 440, 434, 327, 261, 200],
-    [151, 155, 215, 277, 338, 452, 446, 332, 272, 211],
-    [332, 440, 446],
-    [200, 201, 261],
-    [215, 218, 277],
-    [333, 441, 447],
-    [339, 453, 459],
-    [141, 147, 207, 273, 333, 441, 435, 327, 261, 201],
-    [158, 159, 219, 279, 339, 459, 458, 338, 277, 218],
-    [327, 434, 435],
-    [338, 452, 458],
-    [434, 435, 441, 447, 453, 459, 458, 452, 446, 440],
-    [100, 101, 102],
-    [103, 106, 107],
-    [104, 108, 109],
-    [105, 110, 111],
-    [112, 118, 124],
-    [113, 119, 125],
-    [114, 120, 126],
-    [115, 122, 127],
-    [116, 121, 128],
-    [117, 123, 129],
-    [130, 136, 142],
-    [131, 138, 143],
-    [132, 137, 144],
-    [133, 139, 145],
-    [134, 140, 146],
-    [135, 141, 147],
-    [148, 149, 154],
-    [150, 151, 155],
-    [152, 153, 156],
-    [157, 158, 159],
-    [163, 220, 221],
-    [160, 220, 221],
-    [164, 222, 223],
-    [161, 222, 223],
-    [165, 224, 225],
-    [162, 224, 225],
-    [166, 226, 232],
-    [172, 226, 232],
-    [168, 227, 234],
-    [173, 227, 234],
-    [174, 228, 233],
-    [167, 228, 233],
-    [175, 229, 235],
-    [169, 229, 235],
-    [176, 230, 236],
-    [170, 230, 236],
-    [171, 231, 237],
-    [177, 231, 237],
-    [179, 238, 241],
-    [178, 238, 241],
-    [180, 239, 242],
-    [181, 239, 242],
-    [182, 240, 243],
-    [183, 240, 243],
-    [190, 244, 250],
-    [184, 244, 250],
-    [191, 245, 251],
-    [185, 245, 251],
-    [186, 246, 252],
-    [192, 246, 252],
-    [193, 247, 253],
-    [187, 247, 253],
-    [188, 248, 254],
-    [194, 248, 254],
-    [189, 249, 255],
-    [195, 249, 255],
-    [197, 256, 259],
-    [196, 256, 259],
-    [199, 257, 260],
-    [198, 257, 260],
-    [200, 258, 261],
-    [201, 258, 261],
-    [202, 262, 268],
-    [208, 262, 268],
-    [203, 263, 269],
-    [209, 263, 269],
-    [204, 264, 270],
-    [210, 264, 270],
-    [205, 266, 271],
-    [212, 266, 271],
-    [206, 265, 272],
-    [211, 265, 272],
-    [213, 267, 273],
-    [207, 267, 273],
-    [214, 274, 275],
-    [217, 274, 275],
-    [215, 276, 277],
-    [218, 276, 277],
-    [216, 278, 279],
-    [219, 278, 279],
-    [280, 346, 460],
-    [280, 340, 460],
-    [340, 346, 460],
-    [281, 347, 461],
-    [281, 341, 461],
-    [341, 347, 461],
-    [282, 342, 462],
-    [342, 348, 462],
-    [282, 348, 462],
-    [283, 344, 463],
-    [283, 349, 463],
-    [344, 349, 463],
-    [284, 343, 464],
-    [284, 350, 464],
-    [343, 350, 464],
-    [285, 351, 465],
-    [285, 345, 465],
-    [345, 351, 465],
-    [286, 352, 466],
-    [286, 358, 466],
-    [352, 358, 466],
-    [287, 353, 467],
-    [287, 359, 467],
-    [353, 359, 467],
-    [288, 360, 468],
-    [288, 354, 468],
-    [354, 360, 468],
-    [289, 362, 469],
-    [289, 355, 469],
-    [355, 362, 469],
-    [290, 356, 470],
-    [290, 361, 470],
-    [356, 361, 470],
-    [291, 357, 471],
-    [291, 363, 471],
-    [357, 363, 471],
-    [292, 365, 472],
-    [292, 364, 472],
-    [364, 365, 472],
-    [293, 366, 473],
-    [293, 367, 473],
-    [366, 367, 473],
-    [294, 368, 474],
-    [294, 369, 474],
-    [368, 369, 474],
-    [295, 376, 475],
-    [370, 376, 475],
-    [295, 370, 475],
-    [296, 377, 476],
-    [296, 371, 476],
-    [371, 377, 476],
-    [297, 372, 477],
-    [297, 378, 477],
-    [372, 378, 477],
-    [298, 373, 478],
-    [373, 379, 478],
-    [298, 379, 478],
-    [299, 380, 479],
-    [299, 374, 479],
-    [374, 380, 479],
-    [300, 381, 480],
-    [300, 375, 480],
-    [375, 381, 480],
-    [301, 388, 481],
-    [301, 389, 481],
-    [388, 389, 481],
-    [304, 382, 484],
-    [304, 390, 484],
-    [382, 390, 484],
-    [305, 383, 485],
-    [305, 391, 485],
-    [383, 391, 485],
-    [306, 384, 486],
-    [384, 392, 486],
-    [306, 392, 486],
-    [307, 385, 487],
-    [307, 393, 487],
-    [385, 393, 487],
-    [302, 395, 482],
-    [302, 394, 482],
-    [394, 395, 482],
-    [303, 397, 483],
-    [303, 396, 483],
-    [396, 397, 483],
-    [308, 386, 488],
-    [308, 398, 488],
-    [386, 398, 488],
-    [309, 387, 489],
-    [309, 399, 489],
-    [387, 399, 489],
-    [310, 412, 490],
-    [310, 400, 490],
-    [400, 412, 490],
-    [311, 413, 491],
-    [311, 401, 491],
-    [401, 413, 491],
-    [316, 402, 496],
-    [316, 403, 496],
-    [402, 403, 496],
-    [317, 404, 497],
-    [317, 405, 497],
-    [404, 405, 497],
-    [312, 414, 492],
-    [312, 406, 492],
-    [406, 414, 492],
-    [313, 415, 493],
-    [407, 415, 493],
-    [313, 407, 493],
-    [314, 416, 494],
-    [314, 408, 494],
-    [408, 416, 494],
-    [315, 417, 495],
-    [315, 409, 495],
-    [409, 417, 495],
-    [318, 411, 498],
-    [318, 410, 498],
-    [410, 411, 498],
-    [319, 418, 499],
-    [319, 424, 499],
-    [418, 424, 499],
-    [320, 419, 500],
-    [320, 425, 500],
-    [419, 425, 500],
-    [321, 426, 501],
-    [420, 426, 501],
-    [321, 420, 501],
-    [322, 421, 502],
-    [322, 427, 502],
-    [421, 427, 502],
-    [323, 422, 503],
-    [323, 428, 503],
-    [422, 428, 503],
-    [324, 423, 504],
-    [423, 429, 504],
-    [324, 429, 504],
-    [325, 431, 505],
-    [325, 430, 505],
-    [430, 431, 505],
-    [326, 433, 506],
-    [326, 432, 506],
-    [432, 433, 506],
-    [327, 434, 507],
-    [327, 435, 507],
-    [434, 435, 507],
-    [328, 442, 508],
-    [328, 436, 508],
-    [436, 442, 508],
-    [329, 443, 509],
-    [329, 438, 509],
-    [438, 443, 509],
-    [330, 437, 510],
-    [330, 444, 510],
-    [437, 444, 510],
-    [331, 439, 511],
-    [331, 445, 511],
-    [439, 445, 511],
-    [332, 440, 512],
-    [332, 446, 512],
-    [440, 446, 512],
-    [333, 447, 513],
-    [333, 441, 513],
-    [441, 447, 513],
-    [334, 448, 514],
-    [334, 454, 514],
-    [448, 454, 514],
-    [335, 456, 515],
-    [335, 449, 515],
-    [449, 456, 515],
-    [336, 455, 516],
-    [336, 450, 516],
-    [450, 455, 516],
-    [337, 457, 517],
-    [451, 457, 517],
-    [337, 451, 517],
-    [338, 452, 518],
-    [338, 458, 518],
-    [452, 458, 518],
-    [339, 453, 519],
-    [339, 459, 519],
-    [453, 459, 519],
-    [222, 223, 283, 463, 523, 583, 582, 521, 461, 281],
-    [220, 221, 282, 462, 522, 581, 580, 520, 460, 280],
-    [224, 225, 285, 465, 525, 585, 584, 524, 464, 284],
-    [342, 343, 464, 524, 644, 763, 762, 642, 522, 462],
-    [525, 585, 645],
-    [523, 583, 643],
-    [344, 345, 465, 525, 645, 765, 764, 643, 523, 463],
-    [521, 582, 641],
-    [522, 581, 642],
-    [524, 584, 644],
-    [340, 341, 461, 521, 641, 761, 760, 640, 520, 460],
-    [762, 763, 881],
-    [582, 583, 643, 764, 882, 942, 940, 880, 761, 641],
-    [520, 580, 640],
-    [764, 765, 882],
-    [580, 581, 642, 762, 881, 941, 940, 880, 760, 640],
-    [760, 761, 880],
-    [584, 585, 645, 765, 882, 942, 941, 881, 763, 644],
-    [940, 941, 942],
-    [228, 233, 296, 476, 536, 593, 588, 528, 468, 288],
-    [226, 232, 295, 475, 535, 592, 586, 526, 466, 286],
-    [346, 352, 466, 526, 652, 772, 766, 646, 520, 460],
-    [520, 580, 646],
-    [526, 586, 652],
-    [528, 588, 654],
-    [536, 593, 667],
-    [348, 354, 468, 528, 654, 774, 768, 648, 522, 462],
-    [370, 371, 476, 536, 667, 787, 786, 666, 535, 475],
-    [766, 772, 883],
-    [588, 593, 667, 787, 889, 958, 953, 884, 774, 654],
-    [768, 774, 884],
-    [786, 787, 889],
-    [522, 581, 648],
-    [535, 592, 666],
-    [580, 581, 648, 768, 884, 953, 952, 883, 766, 646],
-    [586, 592, 666, 786, 889, 958, 952, 883, 772, 652],
-    [952, 953, 958],
-    [227, 234, 297, 477, 537, 594, 587, 527, 467, 287],
-    [229, 235, 298, 478, 538, 595, 589, 529, 469, 289],
-    [347, 353, 467, 527, 653, 773, 767, 647, 521, 461],
-    [372, 373, 478, 538, 669, 789, 788, 668, 537, 477],
-    [521, 582, 647],
-    [523, 583, 649],
-    [349, 355, 469, 529, 655, 775, 769, 649, 523, 463],
-    [538, 595, 669],
-    [537, 594, 668],
-    [788, 789, 890],
-    [582, 583, 649, 769, 886, 955, 954, 885, 767, 647],
-    [589, 595, 669, 789, 890, 959, 955, 886, 775, 655],
-    [767, 773, 885],
-    [527, 587, 653],
-    [587, 594, 668, 788, 890, 959, 954, 885, 773, 653],
-    [529, 589, 655],
-    [769, 775, 886],
-    [954, 955, 959],
-    [230, 236, 299, 479, 539, 596, 590, 530, 470, 290],
-    [231, 237, 300, 480, 540, 597, 591, 531, 471, 291],
-    [351, 357, 471, 531, 657, 777, 771, 651, 525, 465],
-    [350, 356, 470, 530, 656, 776, 770, 650, 524, 464],
-    [531, 591, 657],
-    [530, 590, 656],
-    [539, 596, 674],
-    [525, 585, 651],
-    [540, 597, 675],
-    [771, 777, 888],
-    [590, 596, 674, 794, 891, 960, 956, 887, 776, 656],
-    [374, 375, 480, 540, 675, 795, 794, 674, 539, 479],
-    [770, 776, 887],
-    [591, 597, 675, 795, 891, 960, 957, 888, 777, 657],
-    [794, 795, 891],
-    [584, 585, 651, 771, 888, 957, 956, 887, 770, 650],
-    [524, 584, 650],
-    [956, 957, 960],
-    [238, 241, 301, 481, 541, 601, 598, 532, 472, 292],
-    [244, 250, 310, 490, 550, 610, 604, 544, 484, 304],
-    [376, 382, 484, 544, 688, 802, 796, 676, 535, 475],
-    [541, 601, 682],
-    [388, 400, 490, 550, 694, 814, 808, 682, 541, 481],
-    [532, 598, 664],
-    [535, 592, 676],
-    [544, 604, 688],
-    [358, 364, 472, 532, 664, 784, 778, 658, 526, 466],
-    [796, 802, 898],
-    [598, 601, 682, 808, 904, 982, 970, 892, 784, 664],
-    [526, 586, 658],
-    [808, 814, 904],
-    [586, 592, 676, 796, 898, 976, 970, 892, 778, 658],
-    [550, 610, 694],
-    [778, 784, 892],
-    [604, 610, 694, 814, 904, 982, 976, 898, 802, 688],
-    [970, 976, 982],
-    [245, 251, 311, 491, 551, 611, 605, 546, 486, 306],
-    [359, 365, 472, 532, 665, 785, 779, 659, 527, 467],
-    [378, 384, 486, 546, 689, 803, 798, 678, 537, 477],
-    [532, 598, 665],
-    [541, 601, 683],
-    [389, 401, 491, 551, 696, 815, 809, 683, 541, 481],
-    [546, 605, 689],
-    [537, 594, 678],
-    [798, 803, 899],
-    [598, 601, 683, 809, 905, 984, 971, 893, 785, 665],
-    [605, 611, 696, 815, 905, 984, 977, 899, 803, 689],
-    [779, 785, 893],
-    [527, 587, 659],
-    [587, 594, 678, 798, 899, 977, 971, 893, 779, 659],
-    [551, 611, 696],
-    [809, 815, 905],
-    [971, 977, 984],
-    [239, 242, 302, 482, 542, 602, 599, 533, 473, 293],
-    [246, 252, 312, 492, 552, 612, 606, 545, 485, 305],
-    [360, 366, 473, 533, 670, 790, 780, 660, 528, 468],
-    [377, 383, 485, 545, 690, 804, 797, 677, 536, 476],
-    [528, 588, 660],
-    [536, 593, 677],
-    [394, 406, 492, 552, 699, 816, 810, 684, 542, 482],
-    [810, 816, 906],
-    [542, 602, 684],
-    [552, 612, 699],
-    [599, 602, 684, 810, 906, 987, 972, 894, 790, 670],
-    [606, 612, 699, 816, 906, 987, 978, 900, 804, 690],
-    [533, 599, 670],
-    [545, 606, 690],
-    [588, 593, 677, 797, 900, 978, 972, 894, 780, 660],
-    [972, 978, 987],
-    [780, 790, 894],
-    [797, 804, 900],
-    [240, 243, 303, 483, 543, 603, 600, 534, 474, 294],
-    [247, 253, 314, 494, 554, 613, 607, 547, 487, 307],
-    [362, 368, 474, 534, 672, 792, 782, 661, 529, 469],
-    [534, 600, 672],
-    [379, 385, 487, 547, 691, 805, 799, 679, 538, 478],
-    [543, 603, 686],
-    [547, 607, 691],
-    [396, 408, 494, 554, 702, 818, 812, 686, 543, 483],
-    [529, 589, 661],
-    [799, 805, 901],
-    [607, 613, 702, 818, 908, 990, 979, 901, 805, 691],
-    [782, 792, 896],
-    [538, 595, 679],
-    [554, 613, 702],
-    [600, 603, 686, 812, 908, 990, 974, 896, 792, 672],
-    [589, 595, 679, 799, 901, 979, 974, 896, 782, 661],
-    [974, 979, 990],
-    [812, 818, 908],
-    [248, 254, 313, 493, 553, 614, 608, 548, 488, 308],
-    [380, 386, 488, 548, 692, 806, 800, 680, 539, 479],
-    [539, 596, 680],
-    [395, 407, 493, 553, 701, 817, 811, 685, 542, 482],
-    [530, 590, 662],
-    [542, 602, 685],
-    [361, 367, 473, 533, 671, 791, 781, 662, 530, 470],
-    [548, 608, 692],
-    [811, 817, 907],
-    [599, 602, 685, 811, 907, 989, 973, 895, 791, 671],
-    [800, 806, 902],
-    [533, 599, 671],
-    [553, 614, 701],
-    [590, 596, 680, 800, 902, 980, 973, 895, 781, 662],
-    [608, 614, 701, 817, 907, 989, 980, 902, 806, 692],
-    [973, 980, 989],
-    [781, 791, 895],
-    [249, 255, 315, 495, 555, 615, 609, 549, 489, 309],
-    [381, 387, 489, 549, 693, 807, 801, 681, 540, 480],
-    [397, 409, 495, 555, 704, 819, 813, 687, 543, 483],
-    [540, 597, 681],
-    [543, 603, 687],
-    [534, 600, 673],
-    [549, 609, 693],
-    [531, 591, 663],
-    [801, 807, 903],
-    [363, 369, 474, 534, 673, 793, 783, 663, 531, 471],
-    [600, 603, 687, 813, 909, 992, 975, 897, 793, 673],
-    [813, 819, 909],
-    [591, 597, 681, 801, 903, 981, 975, 897, 783, 663],
-    [783, 793, 897],
-    [609, 615, 704, 819, 909, 992, 981, 903, 807, 693],
-    [555, 615, 704],
-    [975, 981, 992],
-    [256, 259, 325, 505, 565, 619, 616, 556, 496, 316],
-    [262, 268, 328, 508, 568, 628, 622, 559, 499, 319],
-    [412, 418, 499, 559, 718, 838, 832, 706, 550, 490],
-    [390, 402, 496, 556, 712, 826, 820, 695, 544, 484],
-    [559, 622, 718],
-    [556, 616, 712],
-    [565, 619, 726],
-    [550, 610, 706],
-    [568, 628, 736],
-    [832, 838, 916],
-    [616, 619, 726, 846, 922, 1024, 1007, 910, 826, 712],
-    [430, 436, 508, 568, 736, 856, 846, 726, 565, 505],
-    [820, 826, 910],
-    [622, 628, 736, 856, 922, 1024, 1018, 916, 838, 718],
-    [846, 856, 922],
-    [604, 610, 706, 832, 916, 1018, 1007, 910, 820, 695],
-    [544, 604, 695],
-    [1007, 1018, 1024],
-    [257, 260, 326, 506, 566, 620, 617, 557, 497, 317],
-    [263, 269, 329, 509, 569, 629, 623, 560, 500, 320],
-    [413, 419, 500, 560, 719, 839, 833, 707, 551, 491],
-    [560, 623, 719],
-    [392, 404, 497, 557, 714, 828, 822, 698, 546, 486],
-    [569, 629, 737],
-    [557, 617, 714],
-    [432, 438, 509, 569, 737, 858, 848, 728, 566, 506],
-    [551, 611, 707],
-    [822, 828, 912],
-    [617, 620, 728, 848, 924, 1026, 1010, 912, 828, 714],
-    [833, 839, 917],
-    [546, 605, 698],
-    [566, 620, 728],
-    [623, 629, 737, 858, 924, 1026, 1019, 917, 839, 719],
-    [605, 611, 707, 833, 917, 1019, 1010, 912, 822, 698],
-    [1010, 1019, 1026],
-    [848, 858, 924],
-    [264, 270, 330, 510, 570, 630, 624, 561, 501, 321],
-    [431, 437, 510, 570, 738, 857, 847, 727, 565, 505],
-    [565, 619, 727],
-    [414, 420, 501, 561, 720, 840, 834, 708, 552, 492],
-    [556, 616, 713],
-    [552, 612, 708],
-    [391, 403, 496, 556, 713, 827, 821, 697, 545, 485],
-    [570, 630, 738],
-    [834, 840, 918],
-    [606, 612, 708, 834, 918, 1020, 1009, 911, 821, 697],
-    [847, 857, 923],
-    [545, 606, 697],
-    [561, 624, 720],
-    [616, 619, 727, 847, 923, 1025, 1009, 911, 827, 713],
-    [624, 630, 738, 857, 923, 1025, 1020, 918, 840, 720],
-    [1009, 1020, 1025],
-    [821, 827, 911],
-    [266, 271, 331, 511, 571, 631, 626, 563, 503, 323],
-    [416, 422, 503, 563, 722, 842, 835, 709, 554, 494],
-    [433, 439, 511, 571, 739, 859, 849, 729, 566, 506],
-    [563, 626, 722],
-    [571, 631, 739],
-    [393, 405, 497, 557, 715, 829, 823, 700, 547, 487],
-    [823, 829, 913],
-    [547, 607, 700],
-    [557, 617, 715],
-    [607, 613, 709, 835, 919, 1021, 1012, 913, 823, 700],
-    [617, 620, 729, 849, 925, 1027, 1012, 913, 829, 715],
-    [554, 613, 709],
-    [566, 620, 729],
-    [626, 631, 739, 859, 925, 1027, 1021, 919, 842, 722],
-    [1012, 1021, 1027],
-    [835, 842, 919],
-    [849, 859, 925],
-    [258, 261, 327, 507, 567, 621, 618, 558, 498, 318],
-    [265, 272, 332, 512, 572, 632, 625, 562, 502, 322],
-    [415, 421, 502, 562, 721, 841, 836, 710, 553, 493],
-    [434, 440, 512, 572, 740, 860, 854, 734, 567, 507],
-    [567, 621, 734],
-    [558, 618, 716],
-    [398, 410, 498, 558, 716, 830, 824, 703, 548, 488],
-    [553, 614, 710],
-    [562, 625, 721],
-    [836, 841, 920],
-    [608, 614, 710, 836, 920, 1022, 1015, 914, 824, 703],
-    [618, 621, 734, 854, 926, 1028, 1015, 914, 830, 716],
-    [854, 860, 926],
-    [572, 632, 740],
-    [625, 632, 740, 860, 926, 1028, 1022, 920, 841, 721],
-    [548, 608, 703],
-    [824, 830, 914],
-    [1015, 1022, 1028],
-    [267, 273, 333, 513, 573, 633, 627, 564, 504, 324],
-    [417, 423, 504, 564, 723, 843, 837, 711, 555, 495],
-    [558, 618, 717],
-    [399, 411, 498, 558, 717, 831, 825, 705, 549, 489],
-    [564, 627, 723],
-    [567, 621, 735],
-    [555, 615, 711],
-    [435, 441, 513, 573, 741, 861, 855, 735, 567, 507],
-    [837, 843, 921],
-    [618, 621, 735, 855, 927, 1029, 1017, 915, 831, 717],
-    [573, 633, 741],
-    [825, 831, 915],
-    [627, 633, 741, 861, 927, 1029, 1023, 921, 843, 723],
-    [549, 609, 705],
-    [855, 861, 927],
-    [609, 615, 711, 837, 921, 1023, 1017, 915, 825, 705],
-    [1017, 1023, 1029],
-    [274, 275, 335, 515, 575, 635, 634, 574, 514, 334],
-    [442, 448, 514, 574, 748, 868, 862, 742, 568, 508],
-    [443, 449, 515, 575, 749, 869, 863, 743, 569, 509],
-    [568, 628, 742],
-    [569, 629, 743],
-    [560, 623, 725],
-    [574, 634, 748],
-    [559, 622, 724],
-    [862, 868, 931],
-    [424, 425, 500, 560, 725, 845, 844, 724, 559, 499],
-    [623, 629, 743, 863, 932, 1043, 1039, 928, 845, 725],
-    [863, 869, 932],
-    [622, 628, 742, 862, 931, 1042, 1039, 928, 844, 724],
-    [844, 845, 928],
-    [634, 635, 749, 869, 932, 1043, 1042, 931, 868, 748],
-    [575, 635, 749],
-    [1039, 1042, 1043],
-    [276, 277, 338, 518, 578, 637, 636, 576, 516, 336],
-    [426, 427, 502, 562, 731, 851, 850, 730, 561, 501],
-    [446, 452, 518, 578, 752, 872, 866, 746, 572, 512],
-    [578, 637, 752],
-    [576, 636, 750],
-    [444, 450, 516, 576, 750, 870, 864, 744, 570, 510],
-    [561, 624, 730],
-    [562, 625, 731],
-    [850, 851, 929],
-    [624, 630, 744, 864, 933, 1044, 1040, 929, 850, 730],
-    [636, 637, 752, 872, 934, 1045, 1044, 933, 870, 750],
-    [866, 872, 934],
-    [572, 632, 746],
-    [625, 632, 746, 866, 934, 1045, 1040, 929, 851, 731],
-    [570, 630, 744],
-    [864, 870, 933],
-    [1040, 1044, 1045],
-    [278, 279, 339, 519, 579, 639, 638, 577, 517, 337],
-    [447, 453, 519, 579, 753, 873, 867, 747, 573, 513],
-    [573, 633, 747],
-    [579, 639, 753],
-    [563, 626, 732],
-    [571, 631, 745],
-    [428, 429, 504, 564, 733, 853, 852, 732, 563, 503],
-    [445, 451, 517, 577, 751, 871, 865, 745, 571, 511],
-    [626, 631, 745, 865, 935, 1046, 1041, 930, 852, 732],
-    [867, 873, 936],
-    [852, 853, 930],
-    [865, 871, 935],
-    [564, 627, 733],
-    [577, 638, 751],
-    [627, 633, 747, 867, 936, 1047, 1041, 930, 853, 733],
-    [638, 639, 753, 873, 936, 1047, 1046, 935, 871, 751],
-    [1041, 1046, 1047],
-    [456, 457, 517, 577, 757, 877, 876, 755, 575, 515],
-    [574, 634, 754],
-    [576, 636, 756],
-    [454, 455, 516, 576, 756, 875, 874, 754, 574, 514],
-    [577, 638, 757],
-    [578, 637, 758],
-    [575, 635, 755],
-    [458, 459, 519, 579, 759, 879, 878, 758, 578, 518],
-    [876, 877, 938],
-    [636, 637, 758, 878, 939, 1059, 1057, 937, 875, 756],
-    [579, 639, 759],
-    [874, 875, 937],
-    [638, 639, 759, 879, 939, 1059, 1058, 938, 877, 757],
-    [878, 879, 939],
-    [634, 635, 755, 876, 938, 1058, 1057, 937, 874, 754],
-    [1057, 1058, 1059],
-    [520, 640, 646],
-    [580, 640, 646],
-    [521, 641, 647],
-    [582, 641, 647],
-    [522, 642, 648],
-    [581, 642, 648],
-    [523, 643, 649],
-    [583, 643, 649],
-    [524, 644, 650],
-    [584, 644, 650],
-    [525, 645, 651],
-    [585, 645, 651],
-    [526, 652, 658],
-    [586, 652, 658],
-    [527, 653, 659],
-    [587, 653, 659],
-    [528, 654, 660],
-    [588, 654, 660],
-    [529, 655, 661],
-    [589, 655, 661],
-    [530, 656, 662],
-    [590, 656, 662],
-    [531, 657, 663],
-    [591, 657, 663],
-    [532, 664, 665],
-    [598, 664, 665],
-    [535, 666, 676],
-    [592, 666, 676],
-    [536, 667, 677],
-    [593, 667, 677],
-    [537, 668, 678],
-    [594, 668, 678],
-    [538, 669, 679],
-    [595, 669, 679],
-    [533, 670, 671],
-    [599, 670, 671],
-    [534, 672, 673],
-    [600, 672, 673],
-    [539, 674, 680],
-    [596, 674, 680],
-    [540, 675, 681],
-    [597, 675, 681],
-    [541, 682, 683],
-    [601, 682, 683],
-    [542, 684, 685],
-    [602, 684, 685],
-    [543, 686, 687],
-    [603, 686, 687],
-    [544, 688, 695],
-    [604, 688, 695],
-    [546, 689, 698],
-    [605, 689, 698],
-    [545, 690, 697],
-    [606, 690, 697],
-    [547, 691, 700],
-    [607, 691, 700],
-    [548, 692, 703],
-    [608, 692, 703],
-    [549, 693, 705],
-    [609, 693, 705],
-    [550, 694, 706],
-    [610, 694, 706],
-    [551, 696, 707],
-    [611, 696, 707],
-    [552, 699, 708],
-    [612, 699, 708],
-    [554, 702, 709],
-    [613, 702, 709],
-    [553, 701, 710],
-    [614, 701, 710],
-    [555, 704, 711],
-    [615, 704, 711],
-    [556, 712, 713],
-    [616, 712, 713],
-    [557, 714, 715],
-    [617, 714, 715],
-    [558, 716, 717],
-    [618, 716, 717],
-    [559, 718, 724],
-    [622, 718, 724],
-    [560, 719, 725],
-    [623, 719, 725],
-    [565, 726, 727],
-    [619, 726, 727],
-    [566, 728, 729],
-    [620, 728, 729],
-    [561, 720, 730],
-    [624, 720, 730],
-    [562, 721, 731],
-    [625, 721, 731],
-    [563, 722, 732],
-    [626, 722, 732],
-    [564, 723, 733],
-    [627, 723, 733],
-    [567, 734, 735],
-    [621, 734, 735],
-    [568, 736, 742],
-    [628, 736, 742],
-    [569, 737, 743],
-    [629, 737, 743],
-    [570, 738, 744],
-    [630, 738, 744],
-    [571, 739, 745],
-    [631, 739, 745],
-    [572, 740, 746],
-    [632, 740, 746],
-    [573, 741, 747],
-    [633, 741, 747],
-    [574, 748, 754],
-    [634, 748, 754],
-    [575, 749, 755],
-    [635, 749, 755],
-    [576, 750, 756],
-    [636, 750, 756],
-    [577, 751, 757],
-    [638, 751, 757],
-    [578, 752, 758],
-    [637, 752, 758],
-    [579, 753, 759],
-    [639, 753, 759],
-    [766, 772, 946],
-    [767, 773, 947],
-    [779, 785, 962],
-    [653, 659, 779, 962, 1074, 1159, 1153, 1065, 947, 773],
-    [640, 646, 766, 946, 1064, 1146, 1140, 1061, 943, 760],
-    [652, 658, 778, 961, 1073, 1158, 1152, 1064, 946, 772],
-    [760, 761, 943],
-    [778, 784, 961],
-    [1140, 1141, 1147, 1153, 1159, 1165, 1164, 1158, 1152, 1146],
-    [1064, 1146, 1152],
-    [1065, 1147, 1153],
-    [1074, 1159, 1165],
-    [641, 647, 767, 947, 1065, 1147, 1141, 1061, 943, 761],
-    [664, 665, 785, 962, 1074, 1165, 1164, 1073, 961, 784],
-    [1061, 1140, 1141],
-    [1073, 1158, 1164],
-    [762, 763, 944],
-    [770, 776, 950],
-    [780, 790, 963],
-    [656, 662, 781, 964, 1076, 1161, 1155, 1068, 950, 776],
-    [644, 650, 770, 950, 1068, 1149, 1143, 1062, 944, 763],
-    [781, 791, 964],
-    [642, 648, 768, 948, 1066, 1148, 1142, 1062, 944, 762],
-    [670, 671, 791, 964, 1076, 1167, 1166, 1075, 963, 790],
-    [1142, 1143, 1149, 1155, 1161, 1167, 1166, 1160, 1154, 1148],
-    [768, 774, 948],
-    [1062, 1142, 1143],
-    [654, 660, 780, 963, 1075, 1160, 1154, 1066, 948, 774],
-    [1075, 1160, 1166],
-    [1068, 1149, 1155],
-    [1076, 1161, 1167],
-    [1066, 1148, 1154],
-    [771, 777, 951],
-    [782, 792, 965],
-    [764, 765, 945],
-    [643, 649, 769, 949, 1067, 1150, 1144, 1063, 945, 764],
-    [769, 775, 949],
-    [645, 651, 771, 951, 1069, 1151, 1145, 1063, 945, 765],
-    [655, 661, 782, 965, 1077, 1162, 1156, 1067, 949, 775],
-    [657, 663, 783, 966, 1078, 1163, 1157, 1069, 951, 777],
-    [1144, 1145, 1151, 1157, 1163, 1169, 1168, 1162, 1156, 1150],
-    [672, 673, 793, 966, 1078, 1169, 1168, 1077, 965, 792],
-    [1069, 1151, 1157],
-    [783, 793, 966],
-    [1077, 1162, 1168],
-    [1063, 1144, 1145],
-    [1067, 1150, 1156],
-    [1078, 1163, 1169],
-    [796, 802, 983],
-    [820, 826, 1000],
-    [797, 804, 985],
-    [712, 713, 827, 1001, 1101, 1197, 1196, 1100, 1000, 826],
-    [688, 695, 820, 1000, 1100, 1188, 1182, 1088, 983, 802],
-    [821, 827, 1001],
-    [666, 676, 796, 983, 1088, 1176, 1170, 1079, 967, 786],
-    [690, 697, 821, 1001, 1101, 1189, 1183, 1089, 985, 804],
-    [1170, 1171, 1177, 1183, 1189, 1197, 1196, 1188, 1182, 1176],
-    [786, 787, 967],
-    [1088, 1176, 1182],
-    [667, 677, 797, 985, 1089, 1177, 1171, 1079, 967, 787],
-    [1089, 1177, 1183],
-    [1100, 1188, 1196],
-    [1101, 1189, 1197],
-    [1079, 1170, 1171],
-    [714, 715, 829, 1003, 1103, 1199, 1198, 1102, 1002, 828],
-    [691, 700, 823, 1003, 1103, 1191, 1185, 1091, 988, 805],
-    [788, 789, 968],
-    [798, 803, 986],
-    [1172, 1173, 1179, 1185, 1191, 1199, 1198, 1190, 1184, 1178],
-    [799, 805, 988],
-    [822, 828, 1002],
-    [668, 678, 798, 986, 1090, 1178, 1172, 1080, 968, 788],
-    [669, 679, 799, 988, 1091, 1179, 1173, 1080, 968, 789],
-    [689, 698, 822, 1002, 1102, 1190, 1184, 1090, 986, 803],
-    [1080, 1172, 1173],
-    [1090, 1178, 1184],
-    [823, 829, 1003],
-    [1091, 1179, 1185],
-    [1102, 1190, 1198],
-    [1103, 1191, 1199],
-    [801, 807, 993],
-    [800, 806, 991],
-    [825, 831, 1005],
-    [716, 717, 831, 1005, 1105, 1205, 1204, 1104, 1004, 830],
-    [824, 830, 1004],
-    [693, 705, 825, 1005, 1105, 1193, 1187, 1093, 993, 807],
-    [692, 703, 824, 1004, 1104, 1192, 1186, 1092, 991, 806],
-    [675, 681, 801, 993, 1093, 1181, 1175, 1081, 969, 795],
-    [1174, 1175, 1181, 1187, 1193, 1205, 1204, 1192, 1186, 1180],
-    [674, 680, 800, 991, 1092, 1180, 1174, 1081, 969, 794],
-    [1093, 1181, 1187],
-    [794, 795, 969],
-    [1092, 1180, 1186],
-    [1105, 1193, 1205],
-    [1104, 1192, 1204],
-    [1081, 1174, 1175],
-    [832, 838, 1006],
-    [833, 839, 1008],
-    [808, 814, 994],
-    [682, 683, 809, 995, 1095, 1195, 1194, 1094, 994, 808],
-    [809, 815, 995],
-    [694, 706, 832, 1006, 1106, 1212, 1206, 1094, 994, 814],
-    [696, 707, 833, 1008, 1107, 1213, 1207, 1095, 995, 815],
-    [718, 724, 844, 1030, 1118, 1224, 1218, 1106, 1006, 838],
-    [1194, 1195, 1207, 1213, 1219, 1225, 1224, 1218, 1212, 1206],
-    [719, 725, 845, 1030, 1118, 1225, 1219, 1107, 1008, 839],
-    [1106, 1212, 1218],
-    [844, 845, 1030],
-    [1107, 1213, 1219],
-    [1094, 1194, 1206],
-    [1095, 1195, 1207],
-    [1118, 1224, 1225],
-    [684, 685, 811, 997, 1097, 1201, 1200, 1096, 996, 810],
-    [699, 708, 834, 1011, 1108, 1214, 1208, 1096, 996, 816],
-    [836, 841, 1013],
-    [850, 851, 1031],
-    [1200, 1201, 1209, 1215, 1221, 1227, 1226, 1220, 1214, 1208],
-    [811, 817, 997],
-    [834, 840, 1011],
-    [721, 731, 851, 1031, 1119, 1227, 1221, 1109, 1013, 841],
-    [701, 710, 836, 1013, 1109, 1215, 1209, 1097, 997, 817],
-    [720, 730, 850, 1031, 1119, 1226, 1220, 1108, 1011, 840],
-    [1109, 1215, 1221],
-    [1119, 1226, 1227],
-    [810, 816, 996],
-    [1097, 1201, 1209],
-    [1108, 1214, 1220],
-    [1096, 1200, 1208],
-    [837, 843, 1016],
-    [813, 819, 999],
-    [835, 842, 1014],
-    [686, 687, 813, 999, 1099, 1203, 1202, 1098, 998, 812],
-    [704, 711, 837, 1016, 1111, 1217, 1211, 1099, 999, 819],
-    [812, 818, 998],
-    [702, 709, 835, 1014, 1110, 1216, 1210, 1098, 998, 818],
-    [723, 733, 853, 1032, 1120, 1229, 1223, 1111, 1016, 843],
-    [1202, 1203, 1211, 1217, 1223, 1229, 1228, 1222, 1216, 1210],
-    [852, 853, 1032],
-    [1111, 1217, 1223],
-    [722, 732, 852, 1032, 1120, 1228, 1222, 1110, 1014, 842],
-    [1110, 1216, 1222],
-    [1099, 1203, 1211],
-    [1098, 1202, 1210],
-    [1120, 1228, 1229],
-    [862, 868, 1048],
-    [847, 857, 1034],
-    [874, 875, 1054],
-    [750, 756, 875, 1054, 1136, 1255, 1249, 1132, 1050, 870],
-    [864, 870, 1050],
-    [748, 754, 874, 1054, 1136, 1254, 1248, 1130, 1048, 868],
-    [738, 744, 864, 1050, 1132, 1243, 1237, 1122, 1034, 857],
-    [736, 742, 862, 1048, 1130, 1242, 1236, 1121, 1033, 856],
-    [1230, 1231, 1237, 1243, 1249, 1255, 1254, 1248, 1242, 1236],
-    [726, 727, 847, 1034, 1122, 1231, 1230, 1121, 1033, 846],
-    [1130, 1242, 1248],
-    [846, 856, 1033],
-    [1122, 1231, 1237],
-    [1136, 1254, 1255],
-    [1132, 1243, 1249],
-    [1121, 1230, 1236],
-    [876, 877, 1055],
-    [863, 869, 1049],
-    [849, 859, 1036],
-    [737, 743, 863, 1049, 1131, 1244, 1238, 1123, 1035, 858],
-    [749, 755, 876, 1055, 1137, 1256, 1250, 1131, 1049, 869],
-    [848, 858, 1035],
-    [728, 729, 849, 1036, 1124, 1233, 1232, 1123, 1035, 848],
-    [751, 757, 877, 1055, 1137, 1257, 1251, 1133, 1051, 871],
-    [1232, 1233, 1239, 1245, 1251, 1257, 1256, 1250, 1244, 1238],
-    [865, 871, 1051],
-    [1137, 1256, 1257],
-    [739, 745, 865, 1051, 1133, 1245, 1239, 1124, 1036, 859],
-    [1124, 1233, 1239],
-    [1131, 1244, 1250],
-    [1123, 1232, 1238],
-    [1133, 1245, 1251],
-    [867, 873, 1053],
-    [854, 860, 1037],
-    [866, 872, 1052],
-    [740, 746, 866, 1052, 1134, 1246, 1240, 1125, 1037, 860],
-    [741, 747, 867, 1053, 1135, 1247, 1241, 1126, 1038, 861],
-    [753, 759, 879, 1056, 1138, 1259, 1253, 1135, 1053, 873],
-    [855, 861, 1038],
-    [878, 879, 1056],
-    [1234, 1235, 1241, 1247, 1253, 1259, 1258, 1252, 1246, 1240],
-    [1135, 1247, 1253],
-    [1125, 1234, 1240],
-    [1134, 1246, 1252],
-    [734, 735, 855, 1038, 1126, 1235, 1234, 1125, 1037, 854],
-    [752, 758, 878, 1056, 1138, 1258, 1252, 1134, 1052, 872],
-    [1126, 1235, 1241],
-    [1138, 1258, 1259],
-    [760, 880, 943],
-    [761, 880, 943],
-    [763, 881, 944],
-    [762, 881, 944],
-    [765, 882, 945],
-    [764, 882, 945],
-    [766, 883, 946],
-    [772, 883, 946],
-    [773, 885, 947],
-    [767, 885, 947],
-    [768, 884, 948],
-    [774, 884, 948],
-    [775, 886, 949],
-    [769, 886, 949],
-    [770, 887, 950],
-    [776, 887, 950],
-    [777, 888, 951],
-    [771, 888, 951],
-    [778, 892, 961],
-    [784, 892, 961],
-    [779, 893, 962],
-    [785, 893, 962],
-    [786, 889, 967],
-    [787, 889, 967],
-    [788, 890, 968],
-    [789, 890, 968],
-    [790, 894, 963],
-    [780, 894, 963],
-    [791, 895, 964],
-    [781, 895, 964],
-    [782, 896, 965],
-    [792, 896, 965],
-    [783, 897, 966],
-    [793, 897, 966],
-    [795, 891, 969],
-    [794, 891, 969],
-    [802, 898, 983],
-    [796, 898, 983],
-    [798, 899, 986],
-    [803, 899, 986],
-    [804, 900, 985],
-    [797, 900, 985],
-    [805, 901, 988],
-    [799, 901, 988],
-    [806, 902, 991],
-    [800, 902, 991],
-    [807, 903, 993],
-    [801, 903, 993],
-    [814, 904, 994],
-    [808, 904, 994],
-    [815, 905, 995],
-    [809, 905, 995],
-    [810, 906, 996],
-    [816, 906, 996],
-    [811, 907, 997],
-    [817, 907, 997],
-    [818, 908, 998],
-    [812, 908, 998],
-    [819, 909, 999],
-    [813, 909, 999],
-    [820, 910, 1000],
-    [826, 910, 1000],
-    [821, 911, 1001],
-    [827, 911, 1001],
-    [828, 912, 1002],
-    [822, 912, 1002],
-    [823, 913, 1003],
-    [829, 913, 1003],
-    [824, 914, 1004],
-    [830, 914, 1004],
-    [825, 915, 1005],
-    [831, 915, 1005],
-    [832, 916, 1006],
-    [838, 916, 1006],
-    [833, 917, 1008],
-    [839, 917, 1008],
-    [834, 918, 1011],
-    [840, 918, 1011],
-    [835, 919, 1014],
-    [842, 919, 1014],
-    [841, 920, 1013],
-    [836, 920, 1013],
-    [837, 921, 1016],
-    [843, 921, 1016],
-    [844, 928, 1030],
-    [845, 928, 1030],
-    [856, 922, 1033],
-    [846, 922, 1033],
-    [857, 923, 1034],
-    [847, 923, 1034],
-    [848, 924, 1035],
-    [858, 924, 1035],
-    [849, 925, 1036],
-    [859, 925, 1036],
-    [851, 929, 1031],
-    [850, 929, 1031],
-    [853, 930, 1032],
-    [852, 930, 1032],
-    [860, 926, 1037],
-    [854, 926, 1037],
-    [861, 927, 1038],
-    [855, 927, 1038],
-    [862, 931, 1048],
-    [868, 931, 1048],
-    [869, 932, 1049],
-    [863, 932, 1049],
-    [864, 933, 1050],
-    [870, 933, 1050],
-    [871, 935, 1051],
-    [865, 935, 1051],
-    [866, 934, 1052],
-    [872, 934, 1052],
-    [867, 936, 1053],
-    [873, 936, 1053],
-    [874, 937, 1054],
-    [875, 937, 1054],
-    [876, 938, 1055],
-    [877, 938, 1055],
-    [879, 939, 1056],
-    [878, 939, 1056],
-    [940, 942, 1060],
-    [940, 941, 1060],
-    [941, 942, 1060],
-    [953, 958, 1070],
-    [952, 953, 1070],
-    [952, 958, 1070],
-    [954, 955, 1071],
-    [955, 959, 1071],
-    [954, 959, 1071],
-    [956, 960, 1072],
-    [957, 960, 1072],
-    [956, 957, 1072],
-    [970, 982, 1082],
-    [970, 976, 1082],
-    [976, 982, 1082],
-    [971, 984, 1083],
-    [977, 984, 1083],
-    [971, 977, 1083],
-    [972, 978, 1084],
-    [972, 987, 1084],
-    [978, 987, 1084],
-    [974, 990, 1085],
-    [979, 990, 1085],
-    [974, 979, 1085],
-    [973, 980, 1086],
-    [973, 989, 1086],
-    [980, 989, 1086],
-    [975, 992, 1087],
-    [975, 981, 1087],
-    [981, 992, 1087],
-    [1007, 1024, 1112],
-    [1018, 1024, 1112],
-    [1007, 1018, 1112],
-    [1019, 1026, 1113],
-    [1010, 1026, 1113],
-    [1010, 1019, 1113],
-    [1009, 1025, 1114],
-    [1009, 1020, 1114],
-    [1020, 1025, 1114],
-    [1021, 1027, 1115],
-    [1012, 1021, 1115],
-    [1012, 1027, 1115],
-    [1015, 1028, 1116],
-    [1015, 1022, 1116],
-    [1022, 1028, 1116],
-    [1017, 1029, 1117],
-    [1023, 1029, 1117],
-    [1017, 1023, 1117],
-    [1039, 1043, 1127],
-    [1039, 1042, 1127],
-    [1042, 1043, 1127],
-    [1044, 1045, 1128],
-    [1040, 1044, 1128],
-    [1040, 1045, 1128],
-    [1041, 1046, 1129],
-    [1041, 1047, 1129],
-    [1046, 1047, 1129],
-    [1057, 1059, 1139],
-    [1058, 1059, 1139],
-    [1057, 1058, 1139],
-    [880, 940, 1060, 1260, 1340, 1460, 1343, 1261, 1061, 943],
-    [881, 941, 1060, 1260, 1341, 1461, 1344, 1262, 1062, 944],
-    [1061, 1140, 1261],
-    [1062, 1142, 1262],
-    [1066, 1148, 1266],
-    [883, 946, 1064, 1264, 1346, 1463, 1352, 1270, 1070, 952],
-    [884, 948, 1066, 1266, 1348, 1464, 1353, 1270, 1070, 953],
-    [1064, 1146, 1264],
-    [1260, 1340, 1341],
-    [1343, 1460, 1520],
-    [1140, 1146, 1264, 1346, 1526, 1646, 1640, 1520, 1343, 1261],
-    [1270, 1352, 1353],
-    [1348, 1464, 1528],
-    [1142, 1148, 1266, 1348, 1528, 1648, 1642, 1522, 1344, 1262],
-    [1340, 1341, 1461, 1522, 1642, 1761, 1760, 1640, 1520, 1460],
-    [1640, 1646, 1760],
-    [1346, 1463, 1526],
-    [1352, 1353, 1464, 1528, 1648, 1761, 1760, 1646, 1526, 1463],
-    [1642, 1648, 1761],
-    [1344, 1461, 1522],
-    [882, 942, 1060, 1260, 1342, 1462, 1345, 1263, 1063, 945],
-    [1061, 1141, 1261],
-    [1063, 1144, 1263],
-    [886, 949, 1067, 1267, 1349, 1466, 1355, 1271, 1071, 955],
-    [885, 947, 1065, 1265, 1347, 1465, 1354, 1271, 1071, 954],
-    [1067, 1150, 1267],
-    [1065, 1147, 1265],
-    [1260, 1340, 1342],
-    [1271, 1354, 1355],
-    [1144, 1150, 1267, 1349, 1529, 1649, 1643, 1524, 1345, 1263],
-    [1343, 1460, 1521],
-    [1345, 1462, 1524],
-    [1349, 1466, 1529],
-    [1340, 1342, 1462, 1524, 1643, 1763, 1762, 1641, 1521, 1460],
-    [1347, 1465, 1527],
-    [1141, 1147, 1265, 1347, 1527, 1647, 1641, 1521, 1343, 1261],
-    [1354, 1355, 1466, 1529, 1649, 1763, 1762, 1647, 1527, 1465],
-    [1641, 1647, 1762],
-    [1643, 1649, 1763],
-    [1063, 1145, 1263],
-    [1062, 1143, 1262],
-    [1068, 1149, 1268],
-    [1069, 1151, 1269],
-    [887, 950, 1068, 1268, 1350, 1467, 1356, 1272, 1072, 956],
-    [888, 951, 1069, 1269, 1351, 1468, 1357, 1272, 1072, 957],
-    [1145, 1151, 1269, 1351, 1531, 1651, 1645, 1525, 1345, 1263],
-    [1143, 1149, 1268, 1350, 1530, 1650, 1644, 1523, 1344, 1262],
-    [1345, 1462, 1525],
-    [1350, 1467, 1530],
-    [1260, 1341, 1342],
-    [1272, 1356, 1357],
-    [1351, 1468, 1531],
-    [1344, 1461, 1523],
-    [1645, 1651, 1765],
-    [1644, 1650, 1764],
-    [1341, 1342, 1462, 1525, 1645, 1765, 1764, 1644, 1523, 1461],
-    [1356, 1357, 1468, 1531, 1651, 1765, 1764, 1650, 1530, 1467],
-    [1140, 1141, 1261],
-    [1142, 1143, 1262],
-    [1144, 1145, 1263],
-    [1064, 1152, 1264],
-    [1146, 1152, 1264],
-    [1065, 1153, 1265],
-    [1147, 1153, 1265],
-    [1066, 1154, 1266],
-    [1148, 1154, 1266],
-    [1067, 1156, 1267],
-    [1150, 1156, 1267],
-    [1068, 1155, 1268],
-    [1149, 1155, 1268],
-    [1069, 1157, 1269],
-    [1151, 1157, 1269],
-    [1073, 1158, 1273],
-    [1073, 1164, 1273],
-    [1158, 1164, 1273],
-    [1074, 1159, 1274],
-    [1074, 1165, 1274],
-    [1159, 1165, 1274],
-    [1075, 1166, 1275],
-    [1075, 1160, 1275],
-    [1160, 1166, 1275],
-    [1076, 1161, 1276],
-    [1076, 1167, 1276],
-    [1161, 1167, 1276],
-    [1077, 1162, 1277],
-    [1077, 1168, 1277],
-    [1162, 1168, 1277],
-    [1078, 1163, 1278],
-    [1078, 1169, 1278],
-    [1163, 1169, 1278],
-    [889, 958, 1070, 1270, 1358, 1469, 1367, 1279, 1079, 967],
-    [892, 961, 1073, 1273, 1361, 1472, 1370, 1282, 1082, 970],
-    [1079, 1170, 1279],
-    [1088, 1176, 1288],
-    [898, 976, 1082, 1282, 1376, 1478, 1383, 1288, 1088, 983],
-    [1282, 1370, 1376],
-    [1361, 1472, 1538],
-    [1152, 1158, 1273, 1361, 1538, 1658, 1652, 1532, 1346, 1264],
-    [1270, 1352, 1358],
-    [1367, 1469, 1546],
-    [1170, 1176, 1288, 1383, 1556, 1676, 1666, 1546, 1367, 1279],
-    [1370, 1376, 1478, 1556, 1676, 1772, 1766, 1658, 1538, 1472],
-    [1652, 1658, 1766],
-    [1346, 1463, 1532],
-    [1352, 1358, 1469, 1546, 1666, 1772, 1766, 1652, 1532, 1463],
-    [1666, 1676, 1772],
-    [1383, 1478, 1556],
-    [890, 959, 1071, 1271, 1359, 1470, 1368, 1280, 1080, 968],
-    [893, 962, 1074, 1274, 1362, 1473, 1371, 1283, 1083, 971],
-    [1080, 1172, 1280],
-    [1090, 1178, 1290],
-    [899, 977, 1083, 1283, 1377, 1479, 1386, 1290, 1090, 986],
-    [1153, 1159, 1274, 1362, 1539, 1659, 1653, 1533, 1347, 1265],
-    [1347, 1465, 1533],
-    [1362, 1473, 1539],
-    [1271, 1354, 1359],
-    [1283, 1371, 1377],
-    [1172, 1178, 1290, 1386, 1558, 1678, 1668, 1548, 1368, 1280],
-    [1653, 1659, 1767],
-    [1354, 1359, 1470, 1548, 1668, 1774, 1767, 1653, 1533, 1465],
-    [1371, 1377, 1479, 1558, 1678, 1774, 1767, 1659, 1539, 1473],
-    [1368, 1470, 1548],
-    [1386, 1479, 1558],
-    [1668, 1678, 1774],
-    [894, 963, 1075, 1275, 1363, 1474, 1372, 1284, 1084, 972],
-    [1079, 1171, 1279],
-    [900, 978, 1084, 1284, 1378, 1480, 1385, 1289, 1089, 985],
-    [1089, 1177, 1289],
-    [1270, 1353, 1358],
-    [1348, 1464, 1534],
-    [1367, 1469, 1547],
-    [1284, 1372, 1378],
-    [1353, 1358, 1469, 1547, 1667, 1773, 1768, 1654, 1534, 1464],
-    [1154, 1160, 1275, 1363, 1540, 1660, 1654, 1534, 1348, 1266],
-    [1171, 1177, 1289, 1385, 1557, 1677, 1667, 1547, 1367, 1279],
-    [1654, 1660, 1768],
-    [1667, 1677, 1773],
-    [1363, 1474, 1540],
-    [1385, 1480, 1557],
-    [1372, 1378, 1480, 1557, 1677, 1773, 1768, 1660, 1540, 1474],
-    [896, 965, 1077, 1277, 1365, 1476, 1374, 1285, 1085, 974],
-    [1091, 1179, 1291],
-    [1080, 1173, 1280],
-    [901, 979, 1085, 1285, 1379, 1481, 1388, 1291, 1091, 988],
-    [1271, 1355, 1359],
-    [1156, 1162, 1277, 1365, 1542, 1661, 1655, 1535, 1349, 1267],
-    [1349, 1466, 1535],
-    [1365, 1476, 1542],
-    [1655, 1661, 1769],
-    [1355, 1359, 1470, 1549, 1669, 1775, 1769, 1655, 1535, 1466],
-    [1173, 1179, 1291, 1388, 1559, 1679, 1669, 1549, 1368, 1280],
-    [1388, 1481, 1559],
-    [1285, 1374, 1379],
-    [1368, 1470, 1549],
-    [1374, 1379, 1481, 1559, 1679, 1775, 1769, 1661, 1542, 1476],
-    [1669, 1679, 1775],
-    [891, 960, 1072, 1272, 1360, 1471, 1369, 1281, 1081, 969],
-    [895, 964, 1076, 1276, 1364, 1475, 1373, 1286, 1086, 973],
-    [1081, 1174, 1281],
-    [902, 980, 1086, 1286, 1380, 1482, 1391, 1292, 1092, 991],
-    [1092, 1180, 1292],
-    [1272, 1356, 1360],
-    [1155, 1161, 1276, 1364, 1541, 1662, 1656, 1536, 1350, 1268],
-    [1286, 1373, 1380],
-    [1369, 1471, 1554],
-    [1350, 1467, 1536],
-    [1356, 1360, 1471, 1554, 1674, 1776, 1770, 1656, 1536, 1467],
-    [1174, 1180, 1292, 1391, 1560, 1680, 1674, 1554, 1369, 1281],
-    [1364, 1475, 1541],
-    [1674, 1680, 1776],
-    [1373, 1380, 1482, 1560, 1680, 1776, 1770, 1662, 1541, 1475],
-    [1391, 1482, 1560],
-    [1656, 1662, 1770],
-    [897, 966, 1078, 1278, 1366, 1477, 1375, 1287, 1087, 975],
-    [1081, 1175, 1281],
-    [1093, 1181, 1293],
-    [903, 981, 1087, 1287, 1381, 1483, 1393, 1293, 1093, 993],
-    [1272, 1357, 1360],
-    [1287, 1375, 1381],
-    [1366, 1477, 1543],
-    [1369, 1471, 1555],
-    [1351, 1468, 1537],
-    [1157, 1163, 1278, 1366, 1543, 1663, 1657, 1537, 1351, 1269],
-    [1175, 1181, 1293, 1393, 1561, 1681, 1675, 1555, 1369, 1281],
-    [1357, 1360, 1471, 1555, 1675, 1777, 1771, 1657, 1537, 1468],
-    [1375, 1381, 1483, 1561, 1681, 1777, 1771, 1663, 1543, 1477],
-    [1393, 1483, 1561],
-    [1657, 1663, 1771],
-    [1675, 1681, 1777],
-    [1170, 1171, 1279],
-    [1172, 1173, 1280],
-    [1174, 1175, 1281],
-    [904, 982, 1082, 1282, 1382, 1484, 1394, 1294, 1094, 994],
-    [905, 984, 1083, 1283, 1384, 1485, 1395, 1295, 1095, 995],
-    [1094, 1194, 1294],
-    [1095, 1195, 1295],
-    [1282, 1370, 1382],
-    [1283, 1371, 1384],
-    [1194, 1195, 1295, 1395, 1569, 1683, 1682, 1568, 1394, 1294],
-    [1361, 1472, 1544],
-    [1394, 1484, 1568],
-    [1395, 1485, 1569],
-    [1370, 1382, 1484, 1568, 1682, 1781, 1778, 1664, 1544, 1472],
-    [1362, 1473, 1545],
-    [1164, 1165, 1274, 1362, 1545, 1665, 1664, 1544, 1361, 1273],
-    [1371, 1384, 1485, 1569, 1683, 1781, 1778, 1665, 1545, 1473],
-    [1664, 1665, 1778],
-    [1682, 1683, 1781],
-    [906, 987, 1084, 1284, 1387, 1486, 1396, 1296, 1096, 996],
-    [907, 989, 1086, 1286, 1389, 1487, 1397, 1297, 1097, 997],
-    [1097, 1201, 1297],
-    [1096, 1200, 1296],
-    [1200, 1201, 1297, 1397, 1571, 1685, 1684, 1570, 1396, 1296],
-    [1286, 1373, 1389],
-    [1166, 1167, 1276, 1364, 1551, 1671, 1670, 1550, 1363, 1275],
-    [1364, 1475, 1551],
-    [1363, 1474, 1550],
-    [1284, 1372, 1387],
-    [1670, 1671, 1779],
-    [1373, 1389, 1487, 1571, 1685, 1782, 1779, 1671, 1551, 1475],
-    [1397, 1487, 1571],
-    [1372, 1387, 1486, 1570, 1684, 1782, 1779, 1670, 1550, 1474],
-    [1684, 1685, 1782],
-    [1396, 1486, 1570],
-    [909, 992, 1087, 1287, 1392, 1489, 1399, 1299, 1099, 999],
-    [908, 990, 1085, 1285, 1390, 1488, 1398, 1298, 1098, 998],
-    [1099, 1203, 1299],
-    [1098, 1202, 1298],
-    [1287, 1375, 1392],
-    [1202, 1203, 1299, 1399, 1573, 1687, 1686, 1572, 1398, 1298],
-    [1285, 1374, 1390],
-    [1366, 1477, 1553],
-    [1399, 1489, 1573],
-    [1168, 1169, 1278, 1366, 1553, 1673, 1672, 1552, 1365, 1277],
-    [1375, 1392, 1489, 1573, 1687, 1783, 1780, 1673, 1553, 1477],
-    [1398, 1488, 1572],
-    [1672, 1673, 1780],
-    [1374, 1390, 1488, 1572, 1686, 1783, 1780, 1672, 1552, 1476],
-    [1365, 1476, 1552],
-    [1686, 1687, 1783],
-    [1088, 1182, 1288],
-    [1176, 1182, 1288],
-    [1089, 1183, 1289],
-    [1177, 1183, 1289],
-    [1090, 1184, 1290],
-    [1178, 1184, 1290],
-    [1091, 1185, 1291],
-    [1179, 1185, 1291],
-    [1092, 1186, 1292],
-    [1180, 1186, 1292],
-    [1093, 1187, 1293],
-    [1181, 1187, 1293],
-    [1094, 1206, 1294],
-    [1100, 1188, 1300],
-    [910, 1000, 1100, 1300, 1400, 1490, 1407, 1312, 1112, 1007],
-    [1106, 1212, 1306],
-    [916, 1006, 1106, 1306, 1406, 1496, 1418, 1312, 1112, 1018],
-    [1206, 1212, 1306, 1406, 1592, 1706, 1694, 1574, 1394, 1294],
-    [1182, 1188, 1300, 1400, 1580, 1695, 1688, 1562, 1383, 1288],
-    [1394, 1484, 1574],
-    [1400, 1490, 1580],
-    [1282, 1376, 1382],
-    [1312, 1407, 1418],
-    [1406, 1496, 1592],
-    [1383, 1478, 1562],
-    [1694, 1706, 1790],
-    [1688, 1695, 1784],
-    [1376, 1382, 1484, 1574, 1694, 1790, 1784, 1688, 1562, 1478],
-    [1407, 1418, 1496, 1592, 1706, 1790, 1784, 1695, 1580, 1490],
-    [1194, 1206, 1294],
-    [1095, 1207, 1295],
-    [1195, 1207, 1295],
-    [1100, 1196, 1300],
-    [1188, 1196, 1300],
-    [1101, 1189, 1301],
-    [1101, 1197, 1301],
-    [1189, 1197, 1301],
-    [1102, 1190, 1302],
-    [1107, 1213, 1307],
-    [917, 1008, 1107, 1307, 1408, 1497, 1419, 1313, 1113, 1019],
-    [912, 1002, 1102, 1302, 1402, 1492, 1410, 1313, 1113, 1010],
-    [1283, 1377, 1384],
-    [1207, 1213, 1307, 1408, 1593, 1707, 1696, 1575, 1395, 1295],
-    [1395, 1485, 1575],
-    [1408, 1497, 1593],
-    [1696, 1707, 1791],
-    [1377, 1384, 1485, 1575, 1696, 1791, 1785, 1689, 1563, 1479],
-    [1184, 1190, 1302, 1402, 1582, 1698, 1689, 1563, 1386, 1290],
-    [1402, 1492, 1582],
-    [1313, 1410, 1419],
-    [1386, 1479, 1563],
-    [1410, 1419, 1497, 1593, 1707, 1791, 1785, 1698, 1582, 1492],
-    [1689, 1698, 1785],
-    [1096, 1208, 1296],
-    [911, 1001, 1101, 1301, 1401, 1491, 1409, 1314, 1114, 1009],
-    [918, 1011, 1108, 1308, 1411, 1498, 1420, 1314, 1114, 1020],
-    [1108, 1214, 1308],
-    [1208, 1214, 1308, 1411, 1594, 1708, 1699, 1576, 1396, 1296],
-    [1314, 1409, 1420],
-    [1183, 1189, 1301, 1401, 1581, 1697, 1690, 1564, 1385, 1289],
-    [1401, 1491, 1581],
-    [1385, 1480, 1564],
-    [1284, 1378, 1387],
-    [1690, 1697, 1786],
-    [1409, 1420, 1498, 1594, 1708, 1792, 1786, 1697, 1581, 1491],
-    [1411, 1498, 1594],
-    [1378, 1387, 1486, 1576, 1699, 1792, 1786, 1690, 1564, 1480],
-    [1699, 1708, 1792],
-    [1396, 1486, 1576],
-    [1102, 1198, 1302],
-    [1190, 1198, 1302],
-    [1103, 1191, 1303],
-    [1103, 1199, 1303],
-    [1191, 1199, 1303],
-    [1200, 1208, 1296],
-    [1097, 1209, 1297],
-    [1201, 1209, 1297],
-    [1098, 1210, 1298],
-    [913, 1003, 1103, 1303, 1403, 1493, 1412, 1315, 1115, 1012],
-    [1110, 1216, 1310],
-    [919, 1014, 1110, 1310, 1414, 1499, 1421, 1315, 1115, 1021],
-    [1185, 1191, 1303, 1403, 1583, 1700, 1691, 1565, 1388, 1291],
-    [1285, 1379, 1390],
-    [1210, 1216, 1310, 1414, 1595, 1709, 1702, 1578, 1398, 1298],
-    [1398, 1488, 1578],
-    [1414, 1499, 1595],
-    [1315, 1412, 1421],
-    [1702, 1709, 1793],
-    [1379, 1390, 1488, 1578, 1702, 1793, 1787, 1691, 1565, 1481],
-    [1388, 1481, 1565],
-    [1412, 1421, 1499, 1595, 1709, 1793, 1787, 1700, 1583, 1493],
-    [1691, 1700, 1787],
-    [1403, 1493, 1583],
-    [1104, 1192, 1304],
-    [914, 1004, 1104, 1304, 1404, 1494, 1415, 1316, 1116, 1015],
-    [1109, 1215, 1309],
-    [920, 1013, 1109, 1309, 1413, 1500, 1422, 1316, 1116, 1022],
-    [1186, 1192, 1304, 1404, 1584, 1703, 1692, 1566, 1391, 1292],
-    [1316, 1415, 1422],
-    [1404, 1494, 1584],
-    [1391, 1482, 1566],
-    [1692, 1703, 1788],
-    [1209, 1215, 1309, 1413, 1596, 1710, 1701, 1577, 1397, 1297],
-    [1415, 1422, 1500, 1596, 1710, 1794, 1788, 1703, 1584, 1494],
-    [1286, 1380, 1389],
-    [1397, 1487, 1577],
-    [1380, 1389, 1487, 1577, 1701, 1794, 1788, 1692, 1566, 1482],
-    [1413, 1500, 1596],
-    [1701, 1710, 1794],
-    [1202, 1210, 1298],
-    [1099, 1211, 1299],
-    [1203, 1211, 1299],
-    [1104, 1204, 1304],
-    [1192, 1204, 1304],
-    [1105, 1193, 1305],
-    [1105, 1205, 1305],
-    [1193, 1205, 1305],
-    [915, 1005, 1105, 1305, 1405, 1495, 1417, 1317, 1117, 1017],
-    [1111, 1217, 1311],
-    [921, 1016, 1111, 1311, 1416, 1501, 1423, 1317, 1117, 1023],
-    [1187, 1193, 1305, 1405, 1585, 1705, 1693, 1567, 1393, 1293],
-    [1211, 1217, 1311, 1416, 1597, 1711, 1704, 1579, 1399, 1299],
-    [1405, 1495, 1585],
-    [1399, 1489, 1579],
-    [1317, 1417, 1423],
-    [1287, 1381, 1392],
-    [1393, 1483, 1567],
-    [1416, 1501, 1597],
-    [1693, 1705, 1789],
-    [1704, 1711, 1795],
-    [1417, 1423, 1501, 1597, 1711, 1795, 1789, 1705, 1585, 1495],
-    [1381, 1392, 1489, 1579, 1704, 1795, 1789, 1693, 1567, 1483],
-    [1106, 1218, 1306],
-    [1212, 1218, 1306],
-    [1107, 1219, 1307],
-    [1213, 1219, 1307],
-    [1108, 1220, 1308],
-    [1214, 1220, 1308],
-    [1109, 1221, 1309],
-    [1215, 1221, 1309],
-    [1110, 1222, 1310],
-    [1216, 1222, 1310],
-    [1111, 1223, 1311],
-    [1217, 1223, 1311],
-    [922, 1024, 1112, 1312, 1424, 1502, 1433, 1321, 1121, 1033],
-    [923, 1025, 1114, 1314, 1425, 1503, 1434, 1322, 1122, 1034],
-    [1121, 1230, 1321],
-    [1122, 1231, 1322],
-    [1312, 1407, 1424],
-    [1196, 1197, 1301, 1401, 1587, 1713, 1712, 1586, 1400, 1300],
-    [1314, 1409, 1425],
-    [1433, 1502, 1606],
-    [1400, 1490, 1586],
-    [1407, 1424, 1502, 1606, 1726, 1799, 1796, 1712, 1586, 1490],
-    [1230, 1231, 1322, 1434, 1607, 1727, 1726, 1606, 1433, 1321],
-    [1401, 1491, 1587],
-    [1726, 1727, 1799],
-    [1409, 1425, 1503, 1607, 1727, 1799, 1796, 1713, 1587, 1491],
-    [1434, 1503, 1607],
-    [1712, 1713, 1796],
-    [924, 1026, 1113, 1313, 1426, 1504, 1435, 1323, 1123, 1035],
-    [1123, 1232, 1323],
-    [925, 1027, 1115, 1315, 1427, 1505, 1436, 1324, 1124, 1036],
-    [1124, 1233, 1324],
-    [1198, 1199, 1303, 1403, 1589, 1715, 1714, 1588, 1402, 1302],
-    [1313, 1410, 1426],
-    [1232, 1233, 1324, 1436, 1609, 1729, 1728, 1608, 1435, 1323],
-    [1435, 1504, 1608],
-    [1436, 1505, 1609],
-    [1315, 1412, 1427],
-    [1728, 1729, 1800],
-    [1410, 1426, 1504, 1608, 1728, 1800, 1797, 1714, 1588, 1492],
-    [1402, 1492, 1588],
-    [1412, 1427, 1505, 1609, 1729, 1800, 1797, 1715, 1589, 1493],
-    [1714, 1715, 1797],
-    [1403, 1493, 1589],
-    [927, 1029, 1117, 1317, 1429, 1507, 1438, 1326, 1126, 1038],
-    [926, 1028, 1116, 1316, 1428, 1506, 1437, 1325, 1125, 1037],
-    [1126, 1235, 1326],
-    [1125, 1234, 1325],
-    [1317, 1417, 1429],
-    [1316, 1415, 1428],
-    [1204, 1205, 1305, 1405, 1591, 1717, 1716, 1590, 1404, 1304],
-    [1438, 1507, 1615],
-    [1405, 1495, 1591],
-    [1404, 1494, 1590],
-    [1417, 1429, 1507, 1615, 1735, 1801, 1798, 1717, 1591, 1495],
-    [1437, 1506, 1614],
-    [1415, 1428, 1506, 1614, 1734, 1801, 1798, 1716, 1590, 1494],
-    [1234, 1235, 1326, 1438, 1615, 1735, 1734, 1614, 1437, 1325],
-    [1734, 1735, 1801],
-    [1716, 1717, 1798],
-    [1118, 1224, 1318],
-    [1118, 1225, 1318],
-    [1224, 1225, 1318],
-    [1119, 1227, 1319],
-    [1119, 1226, 1319],
-    [1226, 1227, 1319],
-    [1120, 1229, 1320],
-    [1120, 1228, 1320],
-    [1228, 1229, 1320],
-    [928, 1030, 1118, 1318, 1430, 1508, 1439, 1327, 1127, 1039],
-    [1121, 1236, 1321],
-    [1130, 1242, 1330],
-    [931, 1042, 1127, 1327, 1442, 1511, 1448, 1330, 1130, 1048],
-    [1312, 1418, 1424],
-    [1327, 1439, 1442],
-    [1430, 1508, 1604],
-    [1433, 1502, 1616],
-    [1448, 1511, 1622],
-    [1218, 1224, 1318, 1430, 1604, 1724, 1718, 1598, 1406, 1306],
-    [1236, 1242, 1330, 1448, 1622, 1742, 1736, 1616, 1433, 1321],
-    [1418, 1424, 1502, 1616, 1736, 1808, 1802, 1718, 1598, 1496],
-    [1439, 1442, 1511, 1622, 1742, 1808, 1802, 1724, 1604, 1508],
-    [1406, 1496, 1598],
-    [1718, 1724, 1802],
-    [1736, 1742, 1808],
-    [1123, 1238, 1323],
-    [932, 1043, 1127, 1327, 1443, 1512, 1449, 1331, 1131, 1049],
-    [1131, 1244, 1331],
-    [1327, 1439, 1443],
-    [1238, 1244, 1331, 1449, 1623, 1743, 1737, 1618, 1435, 1323],
-    [1313, 1419, 1426],
-    [1430, 1508, 1605],
-    [1449, 1512, 1623],
-    [1219, 1225, 1318, 1430, 1605, 1725, 1719, 1599, 1408, 1307],
-    [1439, 1443, 1512, 1623, 1743, 1809, 1803, 1725, 1605, 1508],
-    [1435, 1504, 1618],
-    [1719, 1725, 1803],
-    [1419, 1426, 1504, 1618, 1737, 1809, 1803, 1719, 1599, 1497],
-    [1408, 1497, 1599],
-    [1737, 1743, 1809],
-    [929, 1031, 1119, 1319, 1431, 1509, 1440, 1328, 1128, 1040],
-    [1122, 1237, 1322],
-    [1132, 1243, 1332],
-    [933, 1044, 1128, 1328, 1444, 1513, 1450, 1332, 1132, 1050],
-    [1237, 1243, 1332, 1450, 1624, 1744, 1738, 1617, 1434, 1322],
-    [1328, 1440, 1444],
-    [1450, 1513, 1624],
-    [1434, 1503, 1617],
-    [1738, 1744, 1810],
-    [1220, 1226, 1319, 1431, 1610, 1730, 1720, 1600, 1411, 1308],
-    [1440, 1444, 1513, 1624, 1744, 1810, 1804, 1730, 1610, 1509],
-    [1314, 1420, 1425],
-    [1411, 1498, 1600],
-    [1420, 1425, 1503, 1617, 1738, 1810, 1804, 1720, 1600, 1498],
-    [1431, 1509, 1610],
-    [1720, 1730, 1804],
-    [930, 1032, 1120, 1320, 1432, 1510, 1441, 1329, 1129, 1041],
-    [935, 1046, 1129, 1329, 1446, 1515, 1451, 1333, 1133, 1051],
-    [1133, 1245, 1333],
-    [1124, 1239, 1324],
-    [1329, 1441, 1446],
-    [1432, 1510, 1612],
-    [1451, 1515, 1625],
-    [1315, 1421, 1427],
-    [1441, 1446, 1515, 1625, 1745, 1811, 1806, 1732, 1612, 1510],
-    [1222, 1228, 1320, 1432, 1612, 1732, 1722, 1602, 1414, 1310],
-    [1239, 1245, 1333, 1451, 1625, 1745, 1739, 1619, 1436, 1324],
-    [1722, 1732, 1806],
-    [1739, 1745, 1811],
-    [1414, 1499, 1602],
-    [1436, 1505, 1619],
-    [1421, 1427, 1505, 1619, 1739, 1811, 1806, 1722, 1602, 1499],
-    [1125, 1240, 1325],
-    [1134, 1246, 1334],
-    [934, 1045, 1128, 1328, 1445, 1514, 1452, 1334, 1134, 1052],
-    [1240, 1246, 1334, 1452, 1626, 1746, 1740, 1620, 1437, 1325],
-    [1437, 1506, 1620],
-    [1452, 1514, 1626],
-    [1316, 1422, 1428],
-    [1328, 1440, 1445],
-    [1221, 1227, 1319, 1431, 1611, 1731, 1721, 1601, 1413, 1309],
-    [1740, 1746, 1812],
-    [1422, 1428, 1506, 1620, 1740, 1812, 1805, 1721, 1601, 1500],
-    [1440, 1445, 1514, 1626, 1746, 1812, 1805, 1731, 1611, 1509],
-    [1413, 1500, 1601],
-    [1431, 1509, 1611],
-    [1721, 1731, 1805],
-    [1126, 1241, 1326],
-    [936, 1047, 1129, 1329, 1447, 1516, 1453, 1335, 1135, 1053],
-    [1135, 1247, 1335],
-    [1317, 1423, 1429],
-    [1438, 1507, 1621],
-    [1241, 1247, 1335, 1453, 1627, 1747, 1741, 1621, 1438, 1326],
-    [1329, 1441, 1447],
-    [1432, 1510, 1613],
-    [1223, 1229, 1320, 1432, 1613, 1733, 1723, 1603, 1416, 1311],
-    [1423, 1429, 1507, 1621, 1741, 1813, 1807, 1723, 1603, 1501],
-    [1741, 1747, 1813],
-    [1453, 1516, 1627],
-    [1441, 1447, 1516, 1627, 1747, 1813, 1807, 1733, 1613, 1510],
-    [1723, 1733, 1807],
-    [1416, 1501, 1603],
-    [1230, 1236, 1321],
-    [1231, 1237, 1322],
-    [1232, 1238, 1323],
-    [1233, 1239, 1324],
-    [1234, 1240, 1325],
-    [1235, 1241, 1326],
-    [1130, 1248, 1330],
-    [1242, 1248, 1330],
-    [1131, 1250, 1331],
-    [1244, 1250, 1331],
-    [1132, 1249, 1332],
-    [1243, 1249, 1332],
-    [1133, 1251, 1333],
-    [1245, 1251, 1333],
-    [1134, 1252, 1334],
-    [1246, 1252, 1334],
-    [1135, 1253, 1335],
-    [1247, 1253, 1335],
-    [1136, 1254, 1336],
-    [1136, 1255, 1336],
-    [1254, 1255, 1336],
-    [1137, 1256, 1337],
-    [1137, 1257, 1337],
-    [1256, 1257, 1337],
-    [1138, 1259, 1338],
-    [1138, 1258, 1338],
-    [1258, 1259, 1338],
-    [937, 1054, 1136, 1336, 1454, 1517, 1457, 1339, 1139, 1057],
-    [938, 1055, 1137, 1337, 1455, 1518, 1458, 1339, 1139, 1058],
-    [1248, 1254, 1336, 1454, 1634, 1754, 1748, 1628, 1448, 1330],
-    [1250, 1256, 1337, 1455, 1636, 1755, 1749, 1629, 1449, 1331],
-    [1454, 1517, 1634],
-    [1449, 1512, 1629],
-    [1339, 1457, 1458],
-    [1327, 1442, 1443],
-    [1448, 1511, 1628],
-    [1455, 1518, 1636],
-    [1748, 1754, 1814],
-    [1749, 1755, 1815],
-    [1457, 1458, 1518, 1636, 1755, 1815, 1814, 1754, 1634, 1517],
-    [1442, 1443, 1512, 1629, 1749, 1815, 1814, 1748, 1628, 1511],
-    [939, 1056, 1138, 1338, 1456, 1519, 1459, 1339, 1139, 1059],
-    [1339, 1457, 1459],
-    [1328, 1444, 1445],
-    [1249, 1255, 1336, 1454, 1635, 1756, 1750, 1630, 1450, 1332],
-    [1456, 1519, 1638],
-    [1454, 1517, 1635],
-    [1450, 1513, 1630],
-    [1457, 1459, 1519, 1638, 1758, 1817, 1816, 1756, 1635, 1517],
-    [1452, 1514, 1632],
-    [1444, 1445, 1514, 1632, 1752, 1817, 1816, 1750, 1630, 1513],
-    [1252, 1258, 1338, 1456, 1638, 1758, 1752, 1632, 1452, 1334],
-    [1752, 1758, 1817],
-    [1750, 1756, 1816],
-    [1339, 1458, 1459],
-    [1456, 1519, 1639],
-    [1253, 1259, 1338, 1456, 1639, 1759, 1753, 1633, 1453, 1335],
-    [1329, 1446, 1447],
-    [1451, 1515, 1631],
-    [1251, 1257, 1337, 1455, 1637, 1757, 1751, 1631, 1451, 1333],
-    [1458, 1459, 1519, 1639, 1759, 1819, 1818, 1757, 1637, 1518],
-    [1753, 1759, 1819],
-    [1453, 1516, 1633],
-    [1446, 1447, 1516, 1633, 1753, 1819, 1818, 1751, 1631, 1515],
-    [1751, 1757, 1818],
-    [1455, 1518, 1637],
-    [1340, 1341, 1342],
-    [1352, 1353, 1358],
-    [1354, 1355, 1359],
-    [1356, 1357, 1360],
-    [1370, 1376, 1382],
-    [1371, 1377, 1384],
-    [1372, 1378, 1387],
-    [1374, 1379, 1390],
-    [1373, 1380, 1389],
-    [1375, 1381, 1392],
-    [1407, 1418, 1424],
-    [1410, 1419, 1426],
-    [1409, 1420, 1425],
-    [1412, 1421, 1427],
-    [1415, 1422, 1428],
-    [1417, 1423, 1429],
-    [1439, 1442, 1443],
-    [1440, 1444, 1445],
-    [1441, 1446, 1447],
-    [1457, 1458, 1459],
-    [1343, 1520, 1521],
-    [1460, 1520, 1521],
-    [1344, 1522, 1523],
-    [1461, 1522, 1523],
-    [1345, 1524, 1525],
-    [1462, 1524, 1525],
-    [1346, 1526, 1532],
-    [1463, 1526, 1532],
-    [1347, 1527, 1533],
-    [1465, 1527, 1533],
-    [1348, 1528, 1534],
-    [1464, 1528, 1534],
-    [1349, 1529, 1535],
-    [1466, 1529, 1535],
-    [1350, 1530, 1536],
-    [1467, 1530, 1536],
-    [1351, 1531, 1537],
-    [1468, 1531, 1537],
-    [1361, 1538, 1544],
-    [1472, 1538, 1544],
-    [1362, 1539, 1545],
-    [1473, 1539, 1545],
-    [1367, 1546, 1547],
-    [1469, 1546, 1547],
-    [1368, 1548, 1549],
-    [1470, 1548, 1549],
-    [1363, 1540, 1550],
-    [1474, 1540, 1550],
-    [1364, 1541, 1551],
-    [1475, 1541, 1551],
-    [1365, 1542, 1552],
-    [1476, 1542, 1552],
-    [1366, 1543, 1553],
-    [1477, 1543, 1553],
-    [1369, 1554, 1555],
-    [1471, 1554, 1555],
-    [1383, 1556, 1562],
-    [1478, 1556, 1562],
-    [1386, 1558, 1563],
-    [1479, 1558, 1563],
-    [1385, 1557, 1564],
-    [1480, 1557, 1564],
-    [1388, 1559, 1565],
-    [1481, 1559, 1565],
-    [1391, 1560, 1566],
-    [1482, 1560, 1566],
-    [1393, 1561, 1567],
-    [1483, 1561, 1567],
-    [1394, 1568, 1574],
-    [1484, 1568, 1574],
-    [1395, 1569, 1575],
-    [1485, 1569, 1575],
-    [1486, 1570, 1576],
-    [1396, 1570, 1576],
-    [1397, 1571, 1577],
-    [1487, 1571, 1577],
-    [1398, 1572, 1578],
-    [1488, 1572, 1578],
-    [1399, 1573, 1579],
-    [1489, 1573, 1579],
-    [1400, 1580, 1586],
-    [1490, 1580, 1586],
-    [1401, 1581, 1587],
-    [1491, 1581, 1587],
-    [1402, 1582, 1588],
-    [1492, 1582, 1588],
-    [1493, 1583, 1589],
-    [1403, 1583, 1589],
-    [1404, 1584, 1590],
-    [1494, 1584, 1590],
-    [1405, 1585, 1591],
-    [1495, 1585, 1591],
-    [1406, 1592, 1598],
-    [1496, 1592, 1598],
-    [1408, 1593, 1599],
-    [1497, 1593, 1599],
-    [1411, 1594, 1600],
-    [1498, 1594, 1600],
-    [1414, 1595, 1602],
-    [1499, 1595, 1602],
-    [1413, 1596, 1601],
-    [1500, 1596, 1601],
-    [1416, 1597, 1603],
-    [1501, 1597, 1603],
-    [1430, 1604, 1605],
-    [1508, 1604, 1605],
-    [1433, 1606, 1616],
-    [1502, 1606, 1616],
-    [1434, 1607, 1617],
-    [1503, 1607, 1617],
-    [1435, 1608, 1618],
-    [1504, 1608, 1618],
-    [1436, 1609, 1619],
-    [1505, 1609, 1619],
-    [1431, 1610, 1611],
-    [1509, 1610, 1611],
-    [1432, 1612, 1613],
-    [1510, 1612, 1613],
-    [1437, 1614, 1620],
-    [1506, 1614, 1620],
-    [1438, 1615, 1621],
-    [1507, 1615, 1621],
-    [1448, 1622, 1628],
-    [1511, 1622, 1628],
-    [1449, 1623, 1629],
-    [1512, 1623, 1629],
-    [1450, 1624, 1630],
-    [1513, 1624, 1630],
-    [1451, 1625, 1631],
-    [1515, 1625, 1631],
-    [1452, 1626, 1632],
-    [1514, 1626, 1632],
-    [1453, 1627, 1633],
-    [1516, 1627, 1633],
-    [1454, 1634, 1635],
-    [1517, 1634, 1635],
-    [1455, 1636, 1637],
-    [1518, 1636, 1637],
-    [1456, 1638, 1639],
-    [1519, 1638, 1639],
-    [1640, 1646, 1820],
-    [1652, 1658, 1826],
-    [1653, 1659, 1827],
-    [1641, 1647, 1821],
-    [1664, 1665, 1832],
-    [1526, 1532, 1652, 1826, 1886, 1952, 1946, 1880, 1820, 1646],
-    [1527, 1533, 1653, 1827, 1887, 1953, 1947, 1881, 1821, 1647],
-    [1539, 1545, 1665, 1832, 1892, 1965, 1959, 1887, 1827, 1659],
-    [1520, 1521, 1641, 1821, 1881, 1941, 1940, 1880, 1820, 1640],
-    [1538, 1544, 1664, 1832, 1892, 1964, 1958, 1886, 1826, 1658],
-    [1880, 1940, 1946],
-    [1886, 1952, 1958],
-    [1887, 1953, 1959],
-    [1940, 1941, 1947, 1953, 1959, 1965, 1964, 1958, 1952, 1946],
-    [1881, 1941, 1947],
-    [1892, 1964, 1965],
-    [1644, 1650, 1824],
-    [1642, 1648, 1822],
-    [1670, 1671, 1833],
-    [1522, 1523, 1644, 1824, 1884, 1943, 1942, 1882, 1822, 1642],
-    [1656, 1662, 1830],
-    [1530, 1536, 1656, 1830, 1890, 1956, 1950, 1884, 1824, 1650],
-    [1654, 1660, 1828],
-    [1884, 1943, 1950],
-    [1528, 1534, 1654, 1828, 1888, 1954, 1948, 1882, 1822, 1648],
-    [1540, 1550, 1670, 1833, 1893, 1966, 1960, 1888, 1828, 1660],
-    [1882, 1942, 1948],
-    [1541, 1551, 1671, 1833, 1893, 1967, 1961, 1890, 1830, 1662],
-    [1890, 1956, 1961],
-    [1942, 1943, 1950, 1956, 1961, 1967, 1966, 1960, 1954, 1948],
-    [1888, 1954, 1960],
-    [1893, 1966, 1967],
-    [1645, 1651, 1825],
-    [1657, 1663, 1831],
-    [1655, 1661, 1829],
-    [1672, 1673, 1834],
-    [1531, 1537, 1657, 1831, 1891, 1957, 1951, 1885, 1825, 1651],
-    [1524, 1525, 1645, 1825, 1885, 1945, 1944, 1883, 1823, 1643],
-    [1542, 1552, 1672, 1834, 1894, 1968, 1962, 1889, 1829, 1661],
-    [1643, 1649, 1823],
-    [1885, 1945, 1951],
-    [1529, 1535, 1655, 1829, 1889, 1955, 1949, 1883, 1823, 1649],
-    [1891, 1957, 1963],
-    [1543, 1553, 1673, 1834, 1894, 1969, 1963, 1891, 1831, 1663],
-    [1889, 1955, 1962],
-    [1883, 1944, 1949],
-    [1944, 1945, 1951, 1957, 1963, 1969, 1968, 1962, 1955, 1949],
-    [1894, 1968, 1969],
-    [1688, 1695, 1844],
-    [1666, 1676, 1835],
-    [1690, 1697, 1845],
-    [1556, 1562, 1688, 1844, 1904, 1982, 1976, 1895, 1835, 1676],
-    [1712, 1713, 1856],
-    [1667, 1677, 1836],
-    [1580, 1586, 1712, 1856, 1916, 2002, 1990, 1904, 1844, 1695],
-    [1904, 1982, 1990],
-    [1546, 1547, 1667, 1836, 1896, 1971, 1970, 1895, 1835, 1666],
-    [1557, 1564, 1690, 1845, 1905, 1983, 1977, 1896, 1836, 1677],
-    [1895, 1970, 1976],
-    [1581, 1587, 1713, 1856, 1916, 2003, 1991, 1905, 1845, 1697],
-    [1916, 2002, 2003],
-    [1970, 1971, 1977, 1983, 1991, 2003, 2002, 1990, 1982, 1976],
-    [1896, 1971, 1977],
-    [1905, 1983, 1991],
-    [1668, 1678, 1837],
-    [1669, 1679, 1838],
-    [1689, 1698, 1846],
-    [1691, 1700, 1847],
-    [1714, 1715, 1857],
-    [1548, 1549, 1669, 1838, 1898, 1973, 1972, 1897, 1837, 1668],
-    [1558, 1563, 1689, 1846, 1906, 1984, 1978, 1897, 1837, 1678],
-    [1897, 1972, 1978],
-    [1559, 1565, 1691, 1847, 1907, 1985, 1979, 1898, 1838, 1679],
-    [1582, 1588, 1714, 1857, 1917, 2004, 1992, 1906, 1846, 1698],
-    [1898, 1973, 1979],
-    [1906, 1984, 1992],
-    [1907, 1985, 1993],
-    [1917, 2004, 2005],
-    [1972, 1973, 1979, 1985, 1993, 2005, 2004, 1992, 1984, 1978],
-    [1583, 1589, 1715, 1857, 1917, 2005, 1993, 1907, 1847, 1700],
-    [1693, 1705, 1849],
-    [1675, 1681, 1840],
-    [1692, 1703, 1848],
-    [1674, 1680, 1839],
-    [1561, 1567, 1693, 1849, 1909, 1987, 1981, 1900, 1840, 1681],
-    [1560, 1566, 1692, 1848, 1908, 1986, 1980, 1899, 1839, 1680],
-    [1585, 1591, 1717, 1858, 1918, 2011, 1999, 1909, 1849, 1705],
-    [1716, 1717, 1858],
-    [1909, 1987, 1999],
-    [1584, 1590, 1716, 1858, 1918, 2010, 1998, 1908, 1848, 1703],
-    [1900, 1975, 1981],
-    [1554, 1555, 1675, 1840, 1900, 1975, 1974, 1899, 1839, 1674],
-    [1908, 1986, 1998],
-    [1918, 2010, 2011],
-    [1974, 1975, 1981, 1987, 1999, 2011, 2010, 1998, 1986, 1980],
-    [1899, 1974, 1980],
-    [1694, 1706, 1850],
-    [1718, 1724, 1859],
-    [1696, 1707, 1851],
-    [1719, 1725, 1860],
-    [1592, 1598, 1718, 1859, 1919, 2018, 2012, 1910, 1850, 1706],
-    [1568, 1574, 1694, 1850, 1910, 2000, 1988, 1901, 1841, 1682],
-    [1593, 1599, 1719, 1860, 1920, 2019, 2013, 1911, 1851, 1707],
-    [1682, 1683, 1841],
-    [1910, 2000, 2012],
-    [1569, 1575, 1696, 1851, 1911, 2001, 1989, 1901, 1841, 1683],
-    [1919, 2018, 2024],
-    [1604, 1605, 1725, 1860, 1920, 2025, 2024, 1919, 1859, 1724],
-    [1911, 2001, 2013],
-    [1901, 1988, 1989],
-    [1988, 1989, 2001, 2013, 2019, 2025, 2024, 2018, 2012, 2000],
-    [1920, 2019, 2025],
-    [1721, 1731, 1862],
-    [1701, 1710, 1853],
-    [1720, 1730, 1861],
-    [1684, 1685, 1842],
-    [1699, 1708, 1852],
-    [1596, 1601, 1721, 1862, 1922, 2021, 2015, 1913, 1853, 1710],
-    [1610, 1611, 1731, 1862, 1922, 2027, 2026, 1921, 1861, 1730],
-    [1571, 1577, 1701, 1853, 1913, 2007, 1995, 1902, 1842, 1685],
-    [1594, 1600, 1720, 1861, 1921, 2020, 2014, 1912, 1852, 1708],
-    [1922, 2021, 2027],
-    [1913, 2007, 2015],
-    [1921, 2020, 2026],
-    [1902, 1994, 1995],
-    [1912, 2006, 2014],
-    [1570, 1576, 1699, 1852, 1912, 2006, 1994, 1902, 1842, 1684],
-    [1994, 1995, 2007, 2015, 2021, 2027, 2026, 2020, 2014, 2006],
-    [1704, 1711, 1855],
-    [1723, 1733, 1864],
-    [1702, 1709, 1854],
-    [1597, 1603, 1723, 1864, 1924, 2023, 2017, 1915, 1855, 1711],
-    [1686, 1687, 1843],
-    [1573, 1579, 1704, 1855, 1915, 2009, 1997, 1903, 1843, 1687],
-    [1722, 1732, 1863],
-    [1915, 2009, 2017],
-    [1595, 1602, 1722, 1863, 1923, 2022, 2016, 1914, 1854, 1709],
-    [1612, 1613, 1733, 1864, 1924, 2029, 2028, 1923, 1863, 1732],
-    [1924, 2023, 2029],
-    [1572, 1578, 1702, 1854, 1914, 2008, 1996, 1903, 1843, 1686],
-    [1903, 1996, 1997],
-    [1996, 1997, 2009, 2017, 2023, 2029, 2028, 2022, 2016, 2008],
-    [1923, 2022, 2028],
-    [1914, 2008, 2016],
-    [1748, 1754, 1874],
-    [1736, 1742, 1868],
-    [1738, 1744, 1870],
-    [1726, 1727, 1865],
-    [1622, 1628, 1748, 1874, 1934, 2048, 2042, 1928, 1868, 1742],
-    [1607, 1617, 1738, 1870, 1930, 2037, 2031, 1925, 1865, 1727],
-    [1634, 1635, 1756, 1876, 1936, 2055, 2054, 1934, 1874, 1754],
-    [1750, 1756, 1876],
-    [1934, 2048, 2054],
-    [1624, 1630, 1750, 1876, 1936, 2050, 2044, 1930, 1870, 1744],
-    [1928, 2036, 2042],
-    [1606, 1616, 1736, 1868, 1928, 2036, 2030, 1925, 1865, 1726],
-    [1930, 2037, 2044],
-    [1936, 2050, 2055],
-    [2030, 2031, 2037, 2044, 2050, 2055, 2054, 2048, 2042, 2036],
-    [1925, 2030, 2031],
-    [1749, 1755, 1875],
-    [1751, 1757, 1877],
-    [1728, 1729, 1866],
-    [1636, 1637, 1757, 1877, 1937, 2057, 2056, 1935, 1875, 1755],
-    [1737, 1743, 1869],
-    [1739, 1745, 1871],
-    [1623, 1629, 1749, 1875, 1935, 2049, 2043, 1929, 1869, 1743],
-    [1935, 2049, 2056],
-    [1609, 1619, 1739, 1871, 1931, 2039, 2033, 1926, 1866, 1729],
-    [1625, 1631, 1751, 1877, 1937, 2051, 2045, 1931, 1871, 1745],
-    [1937, 2051, 2057],
-    [1608, 1618, 1737, 1869, 1929, 2038, 2032, 1926, 1866, 1728],
-    [1929, 2038, 2043],
-    [2032, 2033, 2039, 2045, 2051, 2057, 2056, 2049, 2043, 2038],
-    [1931, 2039, 2045],
-    [1926, 2032, 2033],
-    [1741, 1747, 1873],
-    [1753, 1759, 1879],
-    [1740, 1746, 1872],
-    [1734, 1735, 1867],
-    [1752, 1758, 1878],
-    [1627, 1633, 1753, 1879, 1939, 2053, 2047, 1933, 1873, 1747],
-    [1614, 1620, 1740, 1872, 1932, 2040, 2034, 1927, 1867, 1734],
-    [1626, 1632, 1752, 1878, 1938, 2052, 2046, 1932, 1872, 1746],
-    [1615, 1621, 1741, 1873, 1933, 2041, 2035, 1927, 1867, 1735],
-    [1638, 1639, 1759, 1879, 1939, 2059, 2058, 1938, 1878, 1758],
-    [1933, 2041, 2047],
-    [1939, 2053, 2059],
-    [1932, 2040, 2046],
-    [2034, 2035, 2041, 2047, 2053, 2059, 2058, 2052, 2046, 2040],
-    [1927, 2034, 2035],
-    [1938, 2052, 2058],
-    [1646, 1760, 1820],
-    [1640, 1760, 1820],
-    [1641, 1762, 1821],
-    [1647, 1762, 1821],
-    [1642, 1761, 1822],
-    [1648, 1761, 1822],
-    [1643, 1763, 1823],
-    [1649, 1763, 1823],
-    [1644, 1764, 1824],
-    [1650, 1764, 1824],
-    [1645, 1765, 1825],
-    [1651, 1765, 1825],
-    [1652, 1766, 1826],
-    [1658, 1766, 1826],
-    [1653, 1767, 1827],
-    [1659, 1767, 1827],
-    [1654, 1768, 1828],
-    [1660, 1768, 1828],
-    [1661, 1769, 1829],
-    [1655, 1769, 1829],
-    [1656, 1770, 1830],
-    [1662, 1770, 1830],
-    [1657, 1771, 1831],
-    [1663, 1771, 1831],
-    [1664, 1778, 1832],
-    [1665, 1778, 1832],
-    [1676, 1772, 1835],
-    [1666, 1772, 1835],
-    [1667, 1773, 1836],
-    [1677, 1773, 1836],
-    [1668, 1774, 1837],
-    [1678, 1774, 1837],
-    [1669, 1775, 1838],
-    [1679, 1775, 1838],
-    [1671, 1779, 1833],
-    [1670, 1779, 1833],
-    [1673, 1780, 1834],
-    [1672, 1780, 1834],
-    [1674, 1776, 1839],
-    [1680, 1776, 1839],
-    [1681, 1777, 1840],
-    [1675, 1777, 1840],
-    [1682, 1781, 1841],
-    [1683, 1781, 1841],
-    [1685, 1782, 1842],
-    [1684, 1782, 1842],
-    [1687, 1783, 1843],
-    [1686, 1783, 1843],
-    [1688, 1784, 1844],
-    [1695, 1784, 1844],
-    [1689, 1785, 1846],
-    [1698, 1785, 1846],
-    [1697, 1786, 1845],
-    [1690, 1786, 1845],
-    [1691, 1787, 1847],
-    [1700, 1787, 1847],
-    [1692, 1788, 1848],
-    [1703, 1788, 1848],
-    [1693, 1789, 1849],
-    [1705, 1789, 1849],
-    [1706, 1790, 1850],
-    [1694, 1790, 1850],
-    [1707, 1791, 1851],
-    [1696, 1791, 1851],
-    [1708, 1792, 1852],
-    [1699, 1792, 1852],
-    [1702, 1793, 1854],
-    [1709, 1793, 1854],
-    [1710, 1794, 1853],
-    [1701, 1794, 1853],
-    [1711, 1795, 1855],
-    [1704, 1795, 1855],
-    [1712, 1796, 1856],
-    [1713, 1796, 1856],
-    [1714, 1797, 1857],
-    [1715, 1797, 1857],
-    [1717, 1798, 1858],
-    [1716, 1798, 1858],
-    [1718, 1802, 1859],
-    [1724, 1802, 1859],
-    [1725, 1803, 1860],
-    [1719, 1803, 1860],
-    [1726, 1799, 1865],
-    [1727, 1799, 1865],
-    [1728, 1800, 1866],
-    [1729, 1800, 1866],
-    [1730, 1804, 1861],
-    [1720, 1804, 1861],
-    [1721, 1805, 1862],
-    [1731, 1805, 1862],
-    [1732, 1806, 1863],
-    [1722, 1806, 1863],
-    [1723, 1807, 1864],
-    [1733, 1807, 1864],
-    [1735, 1801, 1867],
-    [1734, 1801, 1867],
-    [1742, 1808, 1868],
-    [1736, 1808, 1868],
-    [1743, 1809, 1869],
-    [1737, 1809, 1869],
-    [1738, 1810, 1870],
-    [1744, 1810, 1870],
-    [1745, 1811, 1871],
-    [1739, 1811, 1871],
-    [1740, 1812, 1872],
-    [1746, 1812, 1872],
-    [1747, 1813, 1873],
-    [1741, 1813, 1873],
-    [1754, 1814, 1874],
-    [1748, 1814, 1874],
-    [1755, 1815, 1875],
-    [1749, 1815, 1875],
-    [1756, 1816, 1876],
-    [1750, 1816, 1876],
-    [1757, 1818, 1877],
-    [1751, 1818, 1877],
-    [1758, 1817, 1878],
-    [1752, 1817, 1878],
-    [1753, 1819, 1879],
-    [1759, 1819, 1879],
-    [1762, 1763, 1823, 1883, 2063, 2123, 2122, 2061, 1881, 1821],
-    [1760, 1761, 1822, 1882, 2062, 2121, 2120, 2060, 1880, 1820],
-    [1764, 1765, 1825, 1885, 2065, 2125, 2124, 2064, 1884, 1824],
-    [1880, 1940, 2060],
-    [1882, 1942, 2062],
-    [1883, 1944, 2063],
-    [1884, 1943, 2064],
-    [1881, 1941, 2061],
-    [1885, 1945, 2065],
-    [2122, 2123, 2181],
-    [2240, 2241, 2242],
-    [1942, 1943, 2064, 2124, 2182, 2242, 2240, 2180, 2121, 2062],
-    [2120, 2121, 2180],
-    [1944, 1945, 2065, 2125, 2182, 2242, 2241, 2181, 2123, 2063],
-    [2124, 2125, 2182],
-    [1940, 1941, 2061, 2122, 2181, 2241, 2240, 2180, 2120, 2060],
-    [1768, 1773, 1836, 1896, 2076, 2133, 2128, 2068, 1888, 1828],
-    [1766, 1772, 1835, 1895, 2075, 2132, 2126, 2066, 1886, 1826],
-    [1880, 1946, 2060],
-    [1886, 1952, 2066],
-    [1888, 1954, 2068],
-    [1896, 1971, 2076],
-    [1970, 1971, 2076, 2133, 2187, 2247, 2246, 2186, 2132, 2075],
-    [1948, 1954, 2068, 2128, 2187, 2247, 2243, 2183, 2121, 2062],
-    [1946, 1952, 2066, 2126, 2186, 2246, 2243, 2183, 2120, 2060],
-    [2120, 2121, 2183],
-    [2126, 2132, 2186],
-    [1882, 1948, 2062],
-    [1895, 1970, 2075],
-    [2128, 2133, 2187],
-    [2243, 2246, 2247],
-    [1767, 1774, 1837, 1897, 2077, 2134, 2127, 2067, 1887, 1827],
-    [1769, 1775, 1838, 1898, 2078, 2135, 2129, 2069, 1889, 1829],
-    [1881, 1947, 2061],
-    [1883, 1949, 2063],
-    [1887, 1953, 2067],
-    [1898, 1973, 2078],
-    [1889, 1955, 2069],
-    [1897, 1972, 2077],
-    [2122, 2123, 2184],
-    [1972, 1973, 2078, 2135, 2189, 2249, 2248, 2188, 2134, 2077],
-    [1947, 1953, 2067, 2127, 2188, 2248, 2244, 2184, 2122, 2061],
-    [1949, 1955, 2069, 2129, 2189, 2249, 2244, 2184, 2123, 2063],
-    [2244, 2248, 2249],
-    [2127, 2134, 2188],
-    [2129, 2135, 2189],
-    [1770, 1776, 1839, 1899, 2079, 2136, 2130, 2070, 1890, 1830],
-    [1771, 1777, 1840, 1900, 2080, 2137, 2131, 2071, 1891, 1831],
-    [1891, 1957, 2071],
-    [1885, 1951, 2065],
-    [1890, 1956, 2070],
-    [1899, 1974, 2079],
-    [1900, 1975, 2080],
-    [1884, 1950, 2064],
-    [1974, 1975, 2080, 2137, 2191, 2251, 2250, 2190, 2136, 2079],
-    [1951, 1957, 2071, 2131, 2191, 2251, 2245, 2185, 2125, 2065],
-    [2131, 2137, 2191],
-    [2130, 2136, 2190],
-    [2124, 2125, 2185],
-    [1950, 1956, 2070, 2130, 2190, 2250, 2245, 2185, 2124, 2064],
-    [2245, 2250, 2251],
-    [1778, 1781, 1841, 1901, 2081, 2141, 2138, 2072, 1892, 1832],
-    [1784, 1790, 1850, 1910, 2090, 2150, 2144, 2084, 1904, 1844],
-    [1895, 1976, 2075],
-    [1901, 1988, 2081],
-    [1904, 1982, 2084],
-    [1886, 1958, 2066],
-    [1892, 1964, 2072],
-    [1910, 2000, 2090],
-    [2138, 2141, 2198],
-    [2252, 2258, 2264],
-    [1976, 1982, 2084, 2144, 2204, 2264, 2252, 2192, 2132, 2075],
-    [2126, 2132, 2192],
-    [1988, 2000, 2090, 2150, 2204, 2264, 2258, 2198, 2141, 2081],
-    [2144, 2150, 2204],
-    [1958, 1964, 2072, 2138, 2198, 2258, 2252, 2192, 2126, 2066],
-    [1785, 1791, 1851, 1911, 2091, 2151, 2145, 2086, 1906, 1846],
-    [1892, 1965, 2072],
-    [1901, 1989, 2081],
-    [1887, 1959, 2067],
-    [1906, 1984, 2086],
-    [1911, 2001, 2091],
-    [1897, 1978, 2077],
-    [2138, 2141, 2199],
-    [1978, 1984, 2086, 2145, 2205, 2265, 2253, 2193, 2134, 2077],
-    [1959, 1965, 2072, 2138, 2199, 2259, 2253, 2193, 2127, 2067],
-    [1989, 2001, 2091, 2151, 2205, 2265, 2259, 2199, 2141, 2081],
-    [2253, 2259, 2265],
-    [2127, 2134, 2193],
-    [2145, 2151, 2205],
-    [1779, 1782, 1842, 1902, 2082, 2142, 2139, 2073, 1893, 1833],
-    [1786, 1792, 1852, 1912, 2092, 2152, 2146, 2085, 1905, 1845],
-    [1888, 1960, 2068],
-    [1896, 1977, 2076],
-    [1893, 1966, 2073],
-    [1905, 1983, 2085],
-    [2128, 2133, 2194],
-    [1960, 1966, 2073, 2139, 2200, 2260, 2254, 2194, 2128, 2068],
-    [1977, 1983, 2085, 2146, 2206, 2266, 2254, 2194, 2133, 2076],
-    [2254, 2260, 2266],
-    [2139, 2142, 2200],
-    [2146, 2152, 2206],
-    [1902, 1994, 2082],
-    [1912, 2006, 2092],
-    [1994, 2006, 2092, 2152, 2206, 2266, 2260, 2200, 2142, 2082],
-    [1780, 1783, 1843, 1903, 2083, 2143, 2140, 2074, 1894, 1834],
-    [1787, 1793, 1854, 1914, 2094, 2153, 2147, 2087, 1907, 1847],
-    [1894, 1968, 2074],
-    [1889, 1962, 2069],
-    [1903, 1996, 2083],
-    [1914, 2008, 2094],
-    [2140, 2143, 2202],
-    [1962, 1968, 2074, 2140, 2202, 2262, 2255, 2195, 2129, 2069],
-    [1907, 1985, 2087],
-    [2129, 2135, 2195],
-    [1996, 2008, 2094, 2153, 2207, 2267, 2262, 2202, 2143, 2083],
-    [2255, 2262, 2267],
-    [2147, 2153, 2207],
-    [1979, 1985, 2087, 2147, 2207, 2267, 2255, 2195, 2135, 2078],
-    [1898, 1979, 2078],
-    [1788, 1794, 1853, 1913, 2093, 2154, 2148, 2088, 1908, 1848],
-    [1899, 1980, 2079],
-    [1890, 1961, 2070],
-    [1908, 1986, 2088],
-    [1893, 1967, 2073],
-    [2130, 2136, 2196],
-    [1980, 1986, 2088, 2148, 2208, 2268, 2256, 2196, 2136, 2079],
-    [1902, 1995, 2082],
-    [1961, 1967, 2073, 2139, 2201, 2261, 2256, 2196, 2130, 2070],
-    [2148, 2154, 2208],
-    [2256, 2261, 2268],
-    [2139, 2142, 2201],
-    [1995, 2007, 2093, 2154, 2208, 2268, 2261, 2201, 2142, 2082],
-    [1913, 2007, 2093],
-    [1789, 1795, 1855, 1915, 2095, 2155, 2149, 2089, 1909, 1849],
-    [1900, 1981, 2080],
-    [1909, 1987, 2089],
-    [1903, 1997, 2083],
-    [1894, 1969, 2074],
-    [1891, 1963, 2071],
-    [1915, 2009, 2095],
-    [1963, 1969, 2074, 2140, 2203, 2263, 2257, 2197, 2131, 2071],
-    [1981, 1987, 2089, 2149, 2209, 2269, 2257, 2197, 2137, 2080],
-    [2131, 2137, 2197],
-    [2140, 2143, 2203],
-    [2149, 2155, 2209],
-    [1997, 2009, 2095, 2155, 2209, 2269, 2263, 2203, 2143, 2083],
-    [2257, 2263, 2269],
-    [1796, 1799, 1865, 1925, 2105, 2159, 2156, 2096, 1916, 1856],
-    [1802, 1808, 1868, 1928, 2108, 2168, 2162, 2099, 1919, 1859],
-    [1919, 2018, 2099],
-    [1910, 2012, 2090],
-    [1916, 2002, 2096],
-    [1925, 2030, 2105],
-    [1928, 2036, 2108],
-    [1904, 1990, 2084],
-    [2030, 2036, 2108, 2168, 2222, 2282, 2276, 2216, 2159, 2105],
-    [2012, 2018, 2099, 2162, 2222, 2282, 2270, 2210, 2150, 2090],
-    [2162, 2168, 2222],
-    [2156, 2159, 2216],
-    [2144, 2150, 2210],
-    [1990, 2002, 2096, 2156, 2216, 2276, 2270, 2210, 2144, 2084],
-    [2270, 2276, 2282],
-    [1797, 1800, 1866, 1926, 2106, 2160, 2157, 2097, 1917, 1857],
-    [1803, 1809, 1869, 1929, 2109, 2169, 2163, 2100, 1920, 1860],
-    [1920, 2019, 2100],
-    [1911, 2013, 2091],
-    [1929, 2038, 2109],
-    [1926, 2032, 2106],
-    [2163, 2169, 2223],
-    [2013, 2019, 2100, 2163, 2223, 2283, 2271, 2211, 2151, 2091],
-    [1917, 2004, 2097],
-    [2145, 2151, 2211],
-    [2032, 2038, 2109, 2169, 2223, 2283, 2278, 2218, 2160, 2106],
-    [2271, 2278, 2283],
-    [2157, 2160, 2218],
-    [1992, 2004, 2097, 2157, 2218, 2278, 2271, 2211, 2145, 2086],
-    [1906, 1992, 2086],
-    [1804, 1810, 1870, 1930, 2110, 2170, 2164, 2101, 1921, 1861],
-    [1925, 2031, 2105],
-    [1916, 2003, 2096],
-    [1930, 2037, 2110],
-    [1905, 1991, 2085],
-    [2156, 2159, 2217],
-    [2031, 2037, 2110, 2170, 2224, 2284, 2277, 2217, 2159, 2105],
-    [1912, 2014, 2092],
-    [1991, 2003, 2096, 2156, 2217, 2277, 2272, 2212, 2146, 2085],
-    [2164, 2170, 2224],
-    [2272, 2277, 2284],
-    [2146, 2152, 2212],
-    [2014, 2020, 2101, 2164, 2224, 2284, 2272, 2212, 2152, 2092],
-    [1921, 2020, 2101],
-    [1806, 1811, 1871, 1931, 2111, 2171, 2166, 2103, 1923, 1863],
-    [1923, 2022, 2103],
-    [1931, 2039, 2111],
-    [1914, 2016, 2094],
-    [1926, 2033, 2106],
-    [2166, 2171, 2225],
-    [2016, 2022, 2103, 2166, 2225, 2285, 2273, 2213, 2153, 2094],
-    [2033, 2039, 2111, 2171, 2225, 2285, 2279, 2219, 2160, 2106],
-    [2273, 2279, 2285],
-    [2147, 2153, 2213],
-    [2157, 2160, 2219],
-    [1907, 1993, 2087],
-    [1917, 2005, 2097],
-    [1993, 2005, 2097, 2157, 2219, 2279, 2273, 2213, 2147, 2087],
-    [1798, 1801, 1867, 1927, 2107, 2161, 2158, 2098, 1918, 1858],
-    [1805, 1812, 1872, 1932, 2112, 2172, 2165, 2102, 1922, 1862],
-    [1927, 2034, 2107],
-    [1918, 2010, 2098],
-    [1932, 2040, 2112],
-    [1913, 2015, 2093],
-    [1908, 1998, 2088],
-    [1922, 2021, 2102],
-    [2158, 2161, 2220],
-    [2015, 2021, 2102, 2165, 2226, 2286, 2274, 2214, 2154, 2093],
-    [2034, 2040, 2112, 2172, 2226, 2286, 2280, 2220, 2161, 2107],
-    [1998, 2010, 2098, 2158, 2220, 2280, 2274, 2214, 2148, 2088],
-    [2274, 2280, 2286],
-    [2165, 2172, 2226],
-    [2148, 2154, 2214],
-    [1807, 1813, 1873, 1933, 2113, 2173, 2167, 2104, 1924, 1864],
-    [1924, 2023, 2104],
-    [1915, 2017, 2095],
-    [1918, 2011, 2098],
-    [1933, 2041, 2113],
-    [1927, 2035, 2107],
-    [1909, 1999, 2089],
-    [2158, 2161, 2221],
-    [2275, 2281, 2287],
-    [2017, 2023, 2104, 2167, 2227, 2287, 2275, 2215, 2155, 2095],
-    [2167, 2173, 2227],
-    [1999, 2011, 2098, 2158, 2221, 2281, 2275, 2215, 2149, 2089],
-    [2149, 2155, 2215],
-    [2035, 2041, 2113, 2173, 2227, 2287, 2281, 2221, 2161, 2107],
-    [1814, 1815, 1875, 1935, 2115, 2175, 2174, 2114, 1934, 1874],
-    [1928, 2042, 2108],
-    [1934, 2048, 2114],
-    [1929, 2043, 2109],
-    [1920, 2025, 2100],
-    [1919, 2024, 2099],
-    [1935, 2049, 2115],
-    [2024, 2025, 2100, 2163, 2229, 2289, 2288, 2228, 2162, 2099],
-    [2042, 2048, 2114, 2174, 2234, 2294, 2288, 2228, 2168, 2108],
-    [2162, 2168, 2228],
-    [2163, 2169, 2229],
-    [2174, 2175, 2234],
-    [2043, 2049, 2115, 2175, 2234, 2294, 2289, 2229, 2169, 2109],
-    [2288, 2289, 2294],
-    [1816, 1817, 1878, 1938, 2118, 2177, 2176, 2116, 1936, 1876],
-    [1938, 2052, 2118],
-    [1936, 2050, 2116],
-    [1932, 2046, 2112],
-    [1921, 2026, 2101],
-    [1930, 2044, 2110],
-    [1922, 2027, 2102],
-    [2176, 2177, 2235],
-    [2026, 2027, 2102, 2165, 2231, 2291, 2290, 2230, 2164, 2101],
-    [2046, 2052, 2118, 2177, 2235, 2295, 2291, 2231, 2172, 2112],
-    [2044, 2050, 2116, 2176, 2235, 2295, 2290, 2230, 2170, 2110],
-    [2290, 2291, 2295],
-    [2165, 2172, 2231],
-    [2164, 2170, 2230],
-    [1818, 1819, 1879, 1939, 2119, 2179, 2178, 2117, 1937, 1877],
-    [1933, 2047, 2113],
-    [1939, 2053, 2119],
-    [1923, 2028, 2103],
-    [1931, 2045, 2111],
-    [2028, 2029, 2104, 2167, 2233, 2293, 2292, 2232, 2166, 2103],
-    [2045, 2051, 2117, 2178, 2236, 2296, 2292, 2232, 2171, 2111],
-    [2047, 2053, 2119, 2179, 2236, 2296, 2293, 2233, 2173, 2113],
-    [2167, 2173, 2233],
-    [2178, 2179, 2236],
-    [1924, 2029, 2104],
-    [1937, 2051, 2117],
-    [2166, 2171, 2232],
-    [2292, 2293, 2296],
-    [1939, 2059, 2119],
-    [1937, 2057, 2117],
-    [1935, 2056, 2115],
-    [1936, 2055, 2116],
-    [1938, 2058, 2118],
-    [1934, 2054, 2114],
-    [2176, 2177, 2238],
-    [2297, 2298, 2299],
-    [2056, 2057, 2117, 2178, 2239, 2299, 2297, 2237, 2175, 2115],
-    [2178, 2179, 2239],
-    [2054, 2055, 2116, 2176, 2238, 2298, 2297, 2237, 2174, 2114],
-    [2174, 2175, 2237],
-    [2058, 2059, 2119, 2179, 2239, 2299, 2298, 2238, 2177, 2118],
-    [1940, 1946, 2060],
-    [1941, 1947, 2061],
-    [1942, 1948, 2062],
-    [1944, 1949, 2063],
-    [1943, 1950, 2064],
-    [1945, 1951, 2065],
-    [1952, 1958, 2066],
-    [1953, 1959, 2067],
-    [1954, 1960, 2068],
-    [1955, 1962, 2069],
-    [1956, 1961, 2070],
-    [1957, 1963, 2071],
-    [1964, 1965, 2072],
-    [1966, 1967, 2073],
-    [1968, 1969, 2074],
-    [1970, 1976, 2075],
-    [1971, 1977, 2076],
-    [1972, 1978, 2077],
-    [1973, 1979, 2078],
-    [1974, 1980, 2079],
-    [1975, 1981, 2080],
-    [1988, 1989, 2081],
-    [1982, 1990, 2084],
-    [1983, 1991, 2085],
-    [1984, 1992, 2086],
-    [1985, 1993, 2087],
-    [1994, 1995, 2082],
-    [1996, 1997, 2083],
-    [1986, 1998, 2088],
-    [1987, 1999, 2089],
-    [2000, 2012, 2090],
-    [2001, 2013, 2091],
-    [2002, 2003, 2096],
-    [2004, 2005, 2097],
-    [2006, 2014, 2092],
-    [2007, 2015, 2093],
-    [2008, 2016, 2094],
-    [2009, 2017, 2095],
-    [2010, 2011, 2098],
-    [2018, 2024, 2099],
-    [2019, 2025, 2100],
-    [2020, 2026, 2101],
-    [2021, 2027, 2102],
-    [2022, 2028, 2103],
-    [2023, 2029, 2104],
-    [2030, 2031, 2105],
-    [2032, 2033, 2106],
-    [2034, 2035, 2107],
-    [2036, 2042, 2108],
-    [2038, 2043, 2109],
-    [2037, 2044, 2110],
-    [2039, 2045, 2111],
-    [2040, 2046, 2112],
-    [2041, 2047, 2113],
-    [2048, 2054, 2114],
-    [2049, 2056, 2115],
-    [2050, 2055, 2116],
-    [2051, 2057, 2117],
-    [2052, 2058, 2118],
-    [2053, 2059, 2119],
-    [2120, 2180, 2183],
-    [2121, 2180, 2183],
-    [2122, 2181, 2184],
-    [2123, 2181, 2184],
-    [2125, 2182, 2185],
-    [2124, 2182, 2185],
-    [2126, 2186, 2192],
-    [2132, 2186, 2192],
-    [2127, 2188, 2193],
-    [2134, 2188, 2193],
-    [2128, 2187, 2194],
-    [2133, 2187, 2194],
-    [2129, 2189, 2195],
-    [2135, 2189, 2195],
-    [2136, 2190, 2196],
-    [2130, 2190, 2196],
-    [2131, 2191, 2197],
-    [2137, 2191, 2197],
-    [2138, 2198, 2199],
-    [2141, 2198, 2199],
-    [2139, 2200, 2201],
-    [2142, 2200, 2201],
-    [2140, 2202, 2203],
-    [2143, 2202, 2203],
-    [2150, 2204, 2210],
-    [2144, 2204, 2210],
-    [2151, 2205, 2211],
-    [2145, 2205, 2211],
-    [2146, 2206, 2212],
-    [2152, 2206, 2212],
-    [2153, 2207, 2213],
-    [2147, 2207, 2213],
-    [2148, 2208, 2214],
-    [2154, 2208, 2214],
-    [2149, 2209, 2215],
-    [2155, 2209, 2215],
-    [2159, 2216, 2217],
-    [2156, 2216, 2217],
-    [2160, 2218, 2219],
-    [2157, 2218, 2219],
-    [2161, 2220, 2221],
-    [2158, 2220, 2221],
-    [2162, 2222, 2228],
-    [2168, 2222, 2228],
-    [2163, 2223, 2229],
-    [2169, 2223, 2229],
-    [2170, 2224, 2230],
-    [2164, 2224, 2230],
-    [2166, 2225, 2232],
-    [2171, 2225, 2232],
-    [2172, 2226, 2231],
-    [2165, 2226, 2231],
-    [2173, 2227, 2233],
-    [2167, 2227, 2233],
-    [2174, 2234, 2237],
-    [2175, 2234, 2237],
-    [2177, 2235, 2238],
-    [2176, 2235, 2238],
-    [2179, 2236, 2239],
-    [2178, 2236, 2239],
-    [2240, 2242, 2300],
-    [2241, 2242, 2300],
-    [2240, 2241, 2300],
-    [2243, 2246, 2301],
-    [2243, 2247, 2301],
-    [2246, 2247, 2301],
-    [2244, 2248, 2302],
-    [2248, 2249, 2302],
-    [2244, 2249, 2302],
-    [2245, 2251, 2303],
-    [2245, 2250, 2303],
-    [2250, 2251, 2303],
-    [2252, 2264, 2304],
-    [2258, 2264, 2304],
-    [2252, 2258, 2304],
-    [2253, 2259, 2305],
-    [2253, 2265, 2305],
-    [2259, 2265, 2305],
-    [2254, 2260, 2306],
-    [2254, 2266, 2306],
-    [2260, 2266, 2306],
-    [2255, 2262, 2307],
-    [2262, 2267, 2307],
-    [2255, 2267, 2307],
-    [2256, 2268, 2308],
-    [2256, 2261, 2308],
-    [2261, 2268, 2308],
-    [2257, 2269, 2309],
-    [2263, 2269, 2309],
-    [2257, 2263, 2309],
-    [2270, 2282, 2310],
-    [2270, 2276, 2310],
-    [2276, 2282, 2310],
-    [2271, 2283, 2311],
-    [2278, 2283, 2311],
-    [2271, 2278, 2311],
-    [2277, 2284, 2312],
-    [2272, 2277, 2312],
-    [2272, 2284, 2312],
-    [2273, 2285, 2313],
-    [2279, 2285, 2313],
-    [2273, 2279, 2313],
-    [2280, 2286, 2314],
-    [2274, 2286, 2314],
-    [2274, 2280, 2314],
-    [2275, 2287, 2315],
-    [2275, 2281, 2315],
-    [2281, 2287, 2315],
-    [2288, 2294, 2316],
-    [2289, 2294, 2316],
-    [2288, 2289, 2316],
-    [2291, 2295, 2317],
-    [2290, 2291, 2317],
-    [2290, 2295, 2317],
-    [2293, 2296, 2318],
-    [2292, 2293, 2318],
-    [2292, 2296, 2318],
-    [2297, 2299, 2319],
-    [2297, 2298, 2319],
-    [2298, 2299, 2319],
-    [2180, 2183, 2243, 2301, 2321, 2343, 2340, 2320, 2300, 2240],
-    [2181, 2184, 2244, 2302, 2322, 2344, 2341, 2320, 2300, 2241],
-    [2186, 2192, 2252, 2304, 2324, 2352, 2346, 2321, 2301, 2246],
-    [2188, 2193, 2253, 2305, 2325, 2353, 2348, 2322, 2302, 2248],
-    [2198, 2199, 2259, 2305, 2325, 2359, 2358, 2324, 2304, 2258],
-    [2321, 2343, 2346],
-    [2320, 2340, 2341],
-    [2324, 2352, 2358],
-    [2322, 2344, 2348],
-    [2325, 2353, 2359],
-    [2340, 2341, 2344, 2348, 2353, 2359, 2358, 2352, 2346, 2343],
-    [2182, 2185, 2245, 2303, 2323, 2345, 2342, 2320, 2300, 2242],
-    [2187, 2194, 2254, 2306, 2326, 2354, 2347, 2321, 2301, 2247],
-    [2200, 2201, 2261, 2308, 2328, 2361, 2360, 2326, 2306, 2260],
-    [2190, 2196, 2256, 2308, 2328, 2356, 2350, 2323, 2303, 2250],
-    [2320, 2340, 2342],
-    [2323, 2345, 2350],
-    [2321, 2343, 2347],
-    [2340, 2342, 2345, 2350, 2356, 2361, 2360, 2354, 2347, 2343],
-    [2328, 2356, 2361],
-    [2326, 2354, 2360],
-    [2191, 2197, 2257, 2309, 2329, 2357, 2351, 2323, 2303, 2251],
-    [2189, 2195, 2255, 2307, 2327, 2355, 2349, 2322, 2302, 2249],
-    [2202, 2203, 2263, 2309, 2329, 2363, 2362, 2327, 2307, 2262],
-    [2323, 2345, 2351],
-    [2320, 2341, 2342],
-    [2329, 2357, 2363],
-    [2327, 2355, 2362],
-    [2341, 2342, 2345, 2351, 2357, 2363, 2362, 2355, 2349, 2344],
-    [2322, 2344, 2349],
-    [2204, 2210, 2270, 2310, 2330, 2370, 2364, 2324, 2304, 2264],
-    [2206, 2212, 2272, 2312, 2332, 2372, 2366, 2326, 2306, 2266],
-    [2216, 2217, 2277, 2312, 2332, 2377, 2376, 2330, 2310, 2276],
-    [2324, 2352, 2364],
-    [2330, 2370, 2376],
-    [2321, 2346, 2347],
-    [2346, 2347, 2354, 2366, 2372, 2377, 2376, 2370, 2364, 2352],
-    [2332, 2372, 2377],
-    [2326, 2354, 2366],
-    [2205, 2211, 2271, 2311, 2331, 2371, 2365, 2325, 2305, 2265],
-    [2207, 2213, 2273, 2313, 2333, 2373, 2367, 2327, 2307, 2267],
-    [2218, 2219, 2279, 2313, 2333, 2379, 2378, 2331, 2311, 2278],
-    [2322, 2348, 2349],
-    [2325, 2353, 2365],
-    [2327, 2355, 2367],
-    [2331, 2371, 2378],
-    [2333, 2373, 2379],
-    [2348, 2349, 2355, 2367, 2373, 2379, 2378, 2371, 2365, 2353],
-    [2209, 2215, 2275, 2315, 2335, 2375, 2369, 2329, 2309, 2269],
-    [2208, 2214, 2274, 2314, 2334, 2374, 2368, 2328, 2308, 2268],
-    [2220, 2221, 2281, 2315, 2335, 2381, 2380, 2334, 2314, 2280],
-    [2329, 2357, 2369],
-    [2335, 2375, 2381],
-    [2323, 2350, 2351],
-    [2328, 2356, 2368],
-    [2350, 2351, 2357, 2369, 2375, 2381, 2380, 2374, 2368, 2356],
-    [2334, 2374, 2380],
-    [2222, 2228, 2288, 2316, 2336, 2388, 2382, 2330, 2310, 2282],
-    [2223, 2229, 2289, 2316, 2336, 2389, 2383, 2331, 2311, 2283],
-    [2330, 2370, 2382],
-    [2324, 2358, 2364],
-    [2336, 2388, 2389],
-    [2331, 2371, 2383],
-    [2358, 2359, 2365, 2371, 2383, 2389, 2388, 2382, 2370, 2364],
-    [2325, 2359, 2365],
-    [2226, 2231, 2291, 2317, 2337, 2391, 2386, 2334, 2314, 2286],
-    [2224, 2230, 2290, 2317, 2337, 2390, 2384, 2332, 2312, 2284],
-    [2334, 2374, 2386],
-    [2337, 2390, 2391],
-    [2328, 2361, 2368],
-    [2332, 2372, 2384],
-    [2326, 2360, 2366],
-    [2360, 2361, 2368, 2374, 2386, 2391, 2390, 2384, 2372, 2366],
-    [2225, 2232, 2292, 2318, 2338, 2392, 2385, 2333, 2313, 2285],
-    [2227, 2233, 2293, 2318, 2338, 2393, 2387, 2335, 2315, 2287],
-    [2335, 2375, 2387],
-    [2329, 2363, 2369],
-    [2338, 2392, 2393],
-    [2362, 2363, 2369, 2375, 2387, 2393, 2392, 2385, 2373, 2367],
-    [2327, 2362, 2367],
-    [2333, 2373, 2385],
-    [2234, 2237, 2297, 2319, 2339, 2397, 2394, 2336, 2316, 2294],
-    [2235, 2238, 2298, 2319, 2339, 2398, 2395, 2337, 2317, 2295],
-    [2336, 2388, 2394],
-    [2339, 2397, 2398],
-    [2330, 2376, 2382],
-    [2332, 2377, 2384],
-    [2376, 2377, 2384, 2390, 2395, 2398, 2397, 2394, 2388, 2382],
-    [2337, 2390, 2395],
-    [2236, 2239, 2299, 2319, 2339, 2399, 2396, 2338, 2318, 2296],
-    [2339, 2397, 2399],
-    [2336, 2389, 2394],
-    [2338, 2392, 2396],
-    [2378, 2379, 2385, 2392, 2396, 2399, 2397, 2394, 2389, 2383],
-    [2331, 2378, 2383],
-    [2333, 2379, 2385],
-    [2338, 2393, 2396],
-    [2335, 2381, 2387],
-    [2339, 2398, 2399],
-    [2334, 2380, 2386],
-    [2337, 2391, 2395],
-    [2380, 2381, 2387, 2393, 2396, 2399, 2398, 2395, 2391, 2386],
-    [2340, 2341, 2342],
-    [2343, 2346, 2347],
-    [2344, 2348, 2349],
-    [2345, 2350, 2351],
-    [2352, 2358, 2364],
-    [2353, 2359, 2365],
-    [2354, 2360, 2366],
-    [2355, 2362, 2367],
-    [2356, 2361, 2368],
-    [2357, 2363, 2369],
-    [2370, 2376, 2382],
-    [2371, 2378, 2383],
-    [2372, 2377, 2384],
-    [2373, 2379, 2385],
-    [2374, 2380, 2386],
-    [2375, 2381, 2387],
-    [2388, 2389, 2394],
-    [2390, 2391, 2395],
-    [2392, 2393, 2396],
-    [2397, 2398, 2399],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-    ],
-    [2, 32, 33, 34],
-    [24, 35, 36, 37],
-    [16, 38, 39, 40],
-    [28, 41, 42, 43],
-    [4, 44, 45, 46],
-    [17, 47, 48, 49],
-    [6, 50, 51, 52],
-    [8, 53, 54, 55],
-    [9, 56, 57, 58],
-    [29, 59, 60, 61],
-    [30, 62, 63, 64],
-    [10, 65, 66, 67],
-    [11, 68, 69, 70],
-    [7, 71, 72, 73],
-    [18, 74, 75, 76],
-    [5, 77, 78, 79],
-    [31, 80, 81, 82],
-    [19, 83, 84, 85],
-    [25, 86, 87, 88],
-    [3, 89, 90, 91],
-    [
-      26, 39, 48, 34, 46, 35, 92, 93, 94, 95, 96, 97, 98, 99, 100, 101, 102,
-      103, 104, 105, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115, 116, 117,
-    ],
-    [
-      51, 58, 12, 36, 42, 32, 92, 118, 119, 120, 121, 122, 123, 124, 125, 126,
-      127, 128, 129, 130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141,
-      142,
-    ],
-    [
-      40, 20, 54, 61, 33, 41, 93, 118, 143, 144, 145, 146, 147, 148, 149, 150,
-      151, 152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165,
-      166,
-    ],
-    [
-      52, 70, 13, 37, 63, 44, 94, 119, 167, 168, 169, 170, 171, 172, 173, 174,
-      175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189,
-      190,
-    ],
-    [
-      0, 71, 53, 65, 38, 47, 144, 95, 191, 192, 193, 194, 195, 196, 197, 198,
-      199, 200, 201, 202, 203, 204, 205, 206, 207, 208, 209, 210, 211, 212, 213,
-      214,
-    ],
-    [
-      76, 21, 57, 43, 78, 59, 121, 143, 215, 216, 217, 218, 219, 220, 221, 222,
-      223, 224, 225, 226, 227, 228, 229, 230, 231, 232, 233, 234, 235, 236, 237,
-      238,
-    ],
-    [
-      49, 22, 66, 82, 45, 62, 96, 191, 167, 239, 240, 241, 242, 243, 244, 245,
-      246, 247, 248, 249, 250, 251, 252, 253, 254, 255, 256, 257, 258, 259, 260,
-      261,
-    ],
-    [
-      1, 50, 56, 68, 74, 83, 120, 168, 216, 262, 263, 264, 265, 266, 267, 268,
-      269, 270, 271, 272, 273, 274, 275, 276, 277, 278, 279, 280, 281, 282, 283,
-      284,
-    ],
-    [
-      72, 55, 14, 87, 60, 77, 145, 192, 215, 285, 286, 287, 288, 289, 290, 291,
-      292, 293, 294, 295, 296, 297, 298, 299, 300, 301, 302, 303, 304, 305, 306,
-      307,
-    ],
-    [
-      85, 23, 69, 64, 90, 80, 169, 263, 239, 308, 309, 310, 311, 312, 313, 314,
-      315, 316, 317, 318, 319, 320, 321, 322, 323, 324, 325, 326, 327, 328, 329,
-      330,
-    ],
-    [
-      73, 67, 15, 88, 81, 89, 240, 193, 285, 308, 331, 332, 333, 334, 335, 336,
-      337, 338, 339, 340, 341, 342, 343, 344, 345, 346, 347, 348, 349, 350, 351,
-      352,
-    ],
-    [
-      27, 75, 84, 79, 91, 86, 217, 262, 286, 309, 331, 353, 354, 355, 356, 357,
-      358, 359, 360, 361, 362, 363, 364, 365, 366, 367, 368, 369, 370, 371, 372,
-      373,
-    ],
-    [101, 148, 122, 374],
-    [127, 176, 97, 375],
-    [149, 194, 98, 376],
-    [230, 123, 146, 377],
-    [102, 243, 170, 378],
-    [244, 195, 99, 379],
-    [270, 124, 172, 380],
-    [198, 294, 147, 381],
-    [268, 129, 219, 382],
-    [158, 288, 218, 383],
-    [322, 171, 241, 384],
-    [199, 339, 242, 385],
-    [269, 177, 311, 386],
-    [203, 289, 334, 387],
-    [221, 264, 354, 388],
-    [357, 220, 287, 389],
-    [253, 333, 310, 390],
-    [313, 265, 355, 391],
-    [293, 337, 353, 392],
-    [358, 312, 332, 393],
-    [130, 103, 394, 395],
-    [166, 109, 396, 397],
-    [125, 150, 398, 399],
-    [178, 104, 400, 401],
-    [200, 100, 402, 403],
-    [135, 183, 404, 405],
-    [211, 151, 406, 407],
-    [141, 229, 408, 409],
-    [154, 226, 410, 411],
-    [261, 110, 412, 413],
-    [283, 126, 414, 415],
-    [306, 157, 416, 417],
-    [173, 245, 418, 419],
-    [212, 246, 420, 421],
-    [284, 174, 422, 423],
-    [213, 291, 424, 425],
-    [281, 223, 426, 427],
-    [290, 222, 428, 429],
-    [189, 321, 430, 431],
-    [214, 336, 432, 433],
-    [238, 365, 434, 435],
-    [249, 318, 436, 437],
-    [351, 252, 438, 439],
-    [282, 315, 440, 441],
-    [300, 345, 442, 443],
-    [273, 356, 444, 445],
-    [296, 359, 446, 447],
-    [335, 314, 448, 449],
-    [330, 366, 450, 451],
-    [341, 360, 452, 453],
-    [111, 454, 455, 456],
-    [115, 457, 458, 459],
-    [142, 460, 461, 462],
-    [165, 463, 464, 465],
-    [140, 466, 467, 468],
-    [162, 469, 470, 471],
-    [112, 472, 473, 474],
-    [108, 475, 476, 477],
-    [136, 478, 479, 480],
-    [159, 481, 482, 483],
-    [139, 484, 485, 486],
-    [164, 487, 488, 489],
-    [116, 490, 491, 492],
-    [134, 493, 494, 495],
-    [161, 496, 497, 498],
-    [190, 499, 500, 501],
-    [184, 502, 503, 504],
-    [210, 505, 506, 507],
-    [206, 508, 509, 510],
-    [233, 511, 512, 513],
-    [235, 514, 515, 516],
-    [260, 517, 518, 519],
-    [188, 520, 521, 522],
-    [182, 523, 524, 525],
-    [207, 526, 527, 528],
-    [204, 529, 530, 531],
-    [274, 532, 533, 534],
-    [304, 535, 536, 537],
-    [231, 538, 539, 540],
-    [234, 541, 542, 543],
-    [257, 544, 545, 546],
-    [254, 547, 548, 549],
-    [187, 550, 551, 552],
-    [205, 553, 554, 555],
-    [275, 556, 557, 558],
-    [276, 559, 560, 561],
-    [299, 562, 563, 564],
-    [305, 565, 566, 567],
-    [237, 568, 569, 570],
-    [259, 571, 572, 573],
-    [256, 574, 575, 576],
-    [277, 577, 578, 579],
-    [280, 580, 581, 582],
-    [301, 583, 584, 585],
-    [307, 586, 587, 588],
-    [325, 589, 590, 591],
-    [344, 592, 593, 594],
-    [371, 595, 596, 597],
-    [327, 598, 599, 600],
-    [349, 601, 602, 603],
-    [323, 604, 605, 606],
-    [346, 607, 608, 609],
-    [364, 610, 611, 612],
-    [367, 613, 614, 615],
-    [326, 616, 617, 618],
-    [350, 619, 620, 621],
-    [329, 622, 623, 624],
-    [352, 625, 626, 627],
-    [372, 628, 629, 630],
-    [368, 631, 632, 633],
-    [
-      113, 399, 160, 395, 132, 374, 397, 470, 458, 463, 466, 460, 455, 634, 635,
-      636, 637, 638, 639, 640, 641, 642, 643, 644, 645, 646, 647, 648, 649, 650,
-      651, 652,
-    ],
-    [
-      375, 405, 462, 501, 394, 400, 105, 128, 175, 479, 503, 454, 472, 635, 653,
-      654, 655, 656, 657, 658, 659, 660, 661, 662, 663, 664, 665, 666, 667, 668,
-      669, 670,
-    ],
-    [
-      407, 402, 376, 156, 106, 196, 396, 505, 482, 508, 475, 464, 457, 634, 671,
-      672, 673, 674, 675, 676, 677, 678, 679, 680, 681, 682, 683, 684, 685, 686,
-      687, 688,
-    ],
-    [
-      377, 138, 398, 409, 410, 155, 224, 467, 515, 512, 484, 469, 487, 636, 689,
-      690, 691, 692, 693, 694, 695, 696, 697, 698, 699, 700, 701, 702, 703, 704,
-      705, 706,
-    ],
-    [
-      114, 419, 255, 401, 180, 378, 413, 545, 491, 473, 517, 520, 499, 654, 707,
-      708, 709, 710, 711, 712, 713, 714, 715, 716, 717, 718, 719, 720, 721, 722,
-      723, 724,
-    ],
-    [
-      421, 403, 379, 251, 107, 197, 412, 506, 548, 526, 476, 518, 490, 671, 707,
-      725, 726, 727, 728, 729, 730, 731, 732, 733, 734, 735, 736, 737, 738, 739,
-      740, 741,
-    ],
-    [
-      271, 533, 557, 414, 422, 380, 131, 179, 404, 493, 523, 478, 502, 653, 742,
-      743, 744, 745, 746, 747, 748, 749, 750, 751, 752, 753, 754, 755, 756, 757,
-      758, 759,
-    ],
-    [
-      510, 208, 425, 381, 406, 297, 529, 153, 416, 563, 481, 536, 496, 672, 760,
-      761, 762, 763, 764, 765, 766, 767, 768, 769, 770, 771, 772, 773, 774, 775,
-      776, 777,
-    ],
-    [
-      561, 278, 415, 382, 133, 426, 532, 225, 408, 494, 485, 538, 511, 689, 742,
-      778, 779, 780, 781, 782, 783, 784, 785, 786, 787, 788, 789, 790, 791, 792,
-      793, 794,
-    ],
-    [
-      383, 302, 428, 417, 411, 227, 152, 566, 488, 497, 535, 541, 514, 690, 760,
-      795, 796, 797, 798, 799, 800, 801, 802, 803, 804, 805, 806, 807, 808, 809,
-      810, 811,
-    ],
-    [
-      384, 186, 418, 431, 436, 250, 316, 521, 599, 590, 550, 544, 571, 708, 812,
-      813, 814, 815, 816, 817, 818, 819, 820, 821, 822, 823, 824, 825, 826, 827,
-      828, 829,
-    ],
-    [
-      528, 209, 433, 385, 420, 342, 553, 248, 438, 593, 547, 602, 574, 725, 830,
-      831, 832, 833, 834, 835, 836, 837, 838, 839, 840, 841, 842, 843, 844, 845,
-      846, 847,
-    ],
-    [
-      579, 279, 423, 386, 181, 440, 556, 317, 430, 524, 551, 604, 589, 743, 812,
-      848, 849, 850, 851, 852, 853, 854, 855, 856, 857, 858, 859, 860, 861, 862,
-      863, 864,
-    ],
-    [
-      202, 530, 554, 424, 432, 387, 295, 340, 442, 562, 592, 583, 607, 761, 830,
-      865, 866, 867, 868, 869, 870, 871, 872, 873, 874, 875, 876, 877, 878, 879,
-      880, 881,
-    ],
-    [
-      427, 444, 388, 228, 362, 267, 434, 580, 539, 559, 610, 569, 595, 778, 882,
-      883, 884, 885, 886, 887, 888, 889, 890, 891, 892, 893, 894, 895, 896, 897,
-      898, 899,
-    ],
-    [
-      369, 429, 232, 447, 298, 389, 435, 542, 596, 614, 565, 568, 586, 795, 882,
-      900, 901, 902, 903, 904, 905, 906, 907, 908, 909, 910, 911, 912, 913, 914,
-      915, 916,
-    ],
-    [
-      390, 347, 448, 439, 437, 319, 247, 620, 572, 575, 601, 616, 598, 813, 831,
-      917, 918, 919, 920, 921, 922, 923, 924, 925, 926, 927, 928, 929, 930, 931,
-      932, 933,
-    ],
-    [
-      441, 445, 391, 320, 363, 266, 450, 581, 605, 577, 611, 623, 628, 848, 883,
-      934, 935, 936, 937, 938, 939, 940, 941, 942, 943, 944, 945, 946, 947, 948,
-      949, 950,
-    ],
-    [
-      392, 443, 588, 627, 446, 452, 361, 338, 292, 584, 608, 613, 631, 900, 865,
-      951, 952, 953, 954, 955, 956, 957, 958, 959, 960, 961, 962, 963, 964, 965,
-      966, 967,
-    ],
-    [
-      370, 449, 324, 453, 343, 393, 451, 617, 629, 619, 622, 625, 632, 917, 951,
-      934, 968, 969, 970, 971, 972, 973, 974, 975, 976, 977, 978, 979, 980, 981,
-      982, 983,
-    ],
-    [647, 656, 984, 985],
-    [675, 641, 986, 987],
-    [666, 642, 988, 989],
-    [676, 639, 990, 991],
-    [705, 643, 992, 993],
-    [696, 638, 994, 995],
-    [718, 657, 996, 997],
-    [684, 737, 998, 999],
-    [746, 658, 1000, 1001],
-    [686, 768, 1002, 1003],
-    [782, 694, 1004, 1005],
-    [802, 693, 1006, 1007],
-    [728, 712, 1008, 1009],
-    [667, 713, 1010, 1011],
-    [747, 659, 1012, 1013],
-    [679, 732, 1014, 1015],
-    [772, 678, 1016, 1017],
-    [754, 789, 1018, 1019],
-    [763, 800, 1020, 1021],
-    [780, 695, 1022, 1023],
-    [697, 798, 1024, 1025],
-    [729, 710, 1026, 1027],
-    [750, 783, 1028, 1029],
-    [765, 799, 1030, 1031],
-    [828, 714, 1032, 1033],
-    [842, 731, 1034, 1035],
-    [755, 859, 1036, 1037],
-    [872, 766, 1038, 1039],
-    [897, 785, 1040, 1041],
-    [913, 801, 1042, 1043],
-    [721, 819, 1044, 1045],
-    [739, 838, 1046, 1047],
-    [751, 853, 1048, 1049],
-    [876, 773, 1050, 1051],
-    [790, 889, 1052, 1053],
-    [810, 906, 1054, 1055],
-    [852, 817, 1056, 1057],
-    [873, 836, 1058, 1059],
-    [887, 902, 1060, 1061],
-    [924, 816, 1062, 1063],
-    [833, 922, 1064, 1065],
-    [850, 818, 1066, 1067],
-    [877, 843, 1068, 1069],
-    [860, 940, 1070, 1071],
-    [890, 941, 1072, 1073],
-    [868, 955, 1074, 1075],
-    [963, 904, 1076, 1077],
-    [886, 905, 1078, 1079],
-    [820, 920, 1080, 1081],
-    [835, 921, 1082, 1083],
-    [948, 855, 1084, 1085],
-    [869, 956, 1086, 1087],
-    [895, 946, 1088, 1089],
-    [910, 953, 1090, 1091],
-    [923, 969, 1092, 1093],
-    [932, 974, 1094, 1095],
-    [938, 970, 1096, 1097],
-    [964, 972, 1098, 1099],
-    [937, 973, 1100, 1101],
-    [978, 954, 1102, 1103],
-    [
-      459, 492, 117, 477, 456, 474, 644, 715, 673, 726, 655, 986, 1008, 998,
-      984, 996, 1104, 1105, 1106, 1107, 1108, 1109, 1110, 1111, 1112, 1113,
-      1114, 1115, 1116, 1117, 1118, 1119,
-    ],
-    [
-      495, 480, 137, 486, 784, 461, 660, 744, 468, 692, 1000, 1004, 637, 1018,
-      988, 992, 1120, 1121, 1122, 1123, 1124, 1125, 1126, 1127, 1128, 1129,
-      1130, 1131, 1132, 1133, 1134, 1135,
-    ],
-    [
-      498, 163, 465, 483, 804, 489, 677, 471, 990, 640, 762, 691, 1020, 1002,
-      1006, 994, 1136, 1137, 1138, 1139, 1140, 1141, 1142, 1143, 1144, 1145,
-      1146, 1147, 1148, 1149, 1150, 1151,
-    ],
-    [
-      525, 504, 185, 552, 854, 500, 661, 745, 522, 1012, 815, 1056, 709, 1036,
-      1010, 1032, 1152, 1153, 1154, 1155, 1156, 1157, 1158, 1159, 1160, 1161,
-      1162, 1163, 1164, 1165, 1166, 1167,
-    ],
-    [
-      201, 870, 531, 555, 509, 527, 507, 764, 834, 674, 727, 1038, 1058, 1016,
-      1034, 1014, 1168, 1169, 1170, 1171, 1172, 1173, 1174, 1175, 1176, 1177,
-      1178, 1179, 1180, 1181, 1182, 1183,
-    ],
-    [
-      513, 236, 570, 540, 700, 516, 888, 543, 1060, 779, 903, 796, 1022, 1040,
-      1024, 1042, 1184, 1185, 1186, 1187, 1188, 1189, 1190, 1191, 1192, 1193,
-      1194, 1195, 1196, 1197, 1198, 1199,
-    ],
-    [
-      576, 258, 519, 549, 926, 573, 730, 546, 1026, 711, 832, 814, 1064, 1046,
-      1062, 1044, 1200, 1201, 1202, 1203, 1204, 1205, 1206, 1207, 1208, 1209,
-      1210, 1211, 1212, 1213, 1214, 1215,
-    ],
-    [
-      748, 272, 534, 558, 560, 578, 781, 851, 582, 884, 935, 1028, 1048, 1052,
-      1070, 1072, 1216, 1217, 1218, 1219, 1220, 1221, 1222, 1223, 1224, 1225,
-      1226, 1227, 1228, 1229, 1230, 1231,
-    ],
-    [
-      564, 585, 303, 537, 767, 587, 866, 957, 567, 797, 1074, 1030, 901, 1050,
-      1076, 1054, 1232, 1233, 1234, 1235, 1236, 1237, 1238, 1239, 1240, 1241,
-      1242, 1243, 1244, 1245, 1246, 1247,
-    ],
-    [
-      591, 328, 624, 606, 823, 600, 939, 618, 1096, 849, 971, 918, 1066, 1084,
-      1080, 1092, 1248, 1249, 1250, 1251, 1252, 1253, 1254, 1255, 1256, 1257,
-      1258, 1259, 1260, 1261, 1262, 1263,
-    ],
-    [
-      594, 609, 348, 603, 837, 626, 867, 958, 621, 1086, 919, 1082, 968, 1068,
-      1098, 1094, 1264, 1265, 1266, 1267, 1268, 1269, 1270, 1271, 1272, 1273,
-      1274, 1275, 1276, 1277, 1278, 1279,
-    ],
-    [
-      597, 630, 373, 612, 615, 633, 907, 975, 885, 936, 952, 1078, 1100, 1088,
-      1090, 1102, 1280, 1281, 1282, 1283, 1284, 1285, 1286, 1287, 1288, 1289,
-      1290, 1291, 1292, 1293, 1294, 1295,
-    ],
-    [650, 1110, 1296, 1297],
-    [645, 1120, 1298, 1299],
-    [648, 1138, 1300, 1301],
-    [662, 1104, 1302, 1303],
-    [683, 1105, 1304, 1305],
-    [664, 1129, 1306, 1307],
-    [687, 1140, 1308, 1309],
-    [701, 1121, 1310, 1311],
-    [698, 1136, 1312, 1313],
-    [722, 1111, 1314, 1315],
-    [736, 1106, 1316, 1317],
-    [665, 1161, 1318, 1319],
-    [680, 1170, 1320, 1321],
-    [758, 1122, 1322, 1323],
-    [794, 1125, 1324, 1325],
-    [771, 1137, 1326, 1327],
-    [808, 1147, 1328, 1329],
-    [703, 1195, 1330, 1331],
-    [716, 1152, 1332, 1333],
-    [733, 1171, 1334, 1335],
-    [759, 1154, 1336, 1337],
-    [769, 1173, 1338, 1339],
-    [788, 1185, 1340, 1341],
-    [803, 1184, 1342, 1343],
-    [719, 1202, 1344, 1345],
-    [740, 1204, 1346, 1347],
-    [1228, 749, 1348, 1349],
-    [786, 1221, 1350, 1351],
-    [777, 1237, 1352, 1353],
-    [806, 1233, 1354, 1355],
-    [824, 1153, 1356, 1357],
-    [864, 1157, 1358, 1359],
-    [839, 1174, 1360, 1361],
-    [1180, 871, 1362, 1363],
-    [898, 1188, 1364, 1365],
-    [911, 1186, 1366, 1367],
-    [821, 1200, 1368, 1369],
-    [841, 1201, 1370, 1371],
-    [856, 1222, 1372, 1373],
-    [880, 1234, 1374, 1375],
-    [891, 1218, 1376, 1377],
-    [908, 1232, 1378, 1379],
-    [930, 1211, 1380, 1381],
-    [826, 1259, 1382, 1383],
-    [858, 1249, 1384, 1385],
-    [847, 1269, 1386, 1387],
-    [881, 1266, 1388, 1389],
-    [942, 1219, 1390, 1391],
-    [961, 1241, 1392, 1393],
-    [894, 1281, 1394, 1395],
-    [914, 1286, 1396, 1397],
-    [925, 1248, 1398, 1399],
-    [928, 1265, 1400, 1401],
-    [949, 1252, 1402, 1403],
-    [962, 1273, 1404, 1405],
-    [945, 1282, 1406, 1407],
-    [960, 1280, 1408, 1409],
-    [979, 1250, 1410, 1411],
-    [976, 1264, 1412, 1413],
-    [981, 1287, 1414, 1415],
-    [652, 1416, 1417, 1418],
-    [670, 1419, 1420, 1421],
-    [688, 1422, 1423, 1424],
-    [706, 1425, 1426, 1427],
-    [724, 1428, 1429, 1430],
-    [741, 1431, 1432, 1433],
-    [757, 1434, 1435, 1436],
-    [776, 1437, 1438, 1439],
-    [793, 1440, 1441, 1442],
-    [811, 1443, 1444, 1445],
-    [829, 1446, 1447, 1448],
-    [846, 1449, 1450, 1451],
-    [863, 1452, 1453, 1454],
-    [879, 1455, 1456, 1457],
-    [899, 1458, 1459, 1460],
-    [916, 1461, 1462, 1463],
-    [933, 1464, 1465, 1466],
-    [950, 1467, 1468, 1469],
-    [967, 1470, 1471, 1472],
-    [983, 1473, 1474, 1475],
-    [
-      1299, 989, 668, 1302, 985, 649, 1126, 1306, 1420, 1108, 1296, 1417, 1476,
-      1477, 1478, 1479, 1480, 1481, 1482, 1483, 1484, 1485, 1486, 1487, 1488,
-      1489, 1490, 1491, 1492, 1493, 1494, 1495,
-    ],
-    [
-      991, 987, 1116, 681, 1305, 646, 1309, 1301, 1297, 1139, 1422, 1416, 1476,
-      1496, 1497, 1498, 1499, 1500, 1501, 1502, 1503, 1504, 1505, 1506, 1507,
-      1508, 1509, 1510, 1511, 1512, 1513, 1514,
-    ],
-    [
-      704, 651, 993, 995, 1298, 1313, 1427, 1418, 1310, 1300, 1124, 1141, 1477,
-      1496, 1515, 1516, 1517, 1518, 1519, 1520, 1521, 1522, 1523, 1524, 1525,
-      1526, 1527, 1528, 1529, 1530, 1531, 1532,
-    ],
-    [1118, 1497, 1478, 1533],
-    [1130, 1479, 1516, 1534],
-    [1149, 1498, 1515, 1535],
-    [1113, 1483, 1536, 1537],
-    [1114, 1502, 1538, 1539],
-    [1135, 1480, 1540, 1541],
-    [1150, 1501, 1542, 1543],
-    [1133, 1517, 1544, 1545],
-    [1146, 1518, 1546, 1547],
-    [1119, 1548, 1549, 1550],
-    [1115, 1551, 1552, 1553],
-    [1132, 1554, 1555, 1556],
-    [1134, 1557, 1558, 1559],
-    [1148, 1560, 1561, 1562],
-    [1151, 1563, 1564, 1565],
-    [
-      1333, 1011, 669, 1303, 997, 720, 1158, 1318, 1421, 1109, 1314, 1429, 1536,
-      1481, 1548, 1566, 1567, 1568, 1569, 1570, 1571, 1572, 1573, 1574, 1575,
-      1576, 1577, 1578, 1579, 1580, 1581, 1582,
-    ],
-    [
-      1015, 1320, 1334, 685, 738, 999, 1175, 1424, 1433, 1304, 1316, 1107, 1500,
-      1538, 1551, 1583, 1584, 1585, 1586, 1587, 1588, 1589, 1590, 1591, 1592,
-      1593, 1594, 1595, 1596, 1597, 1598, 1599,
-    ],
-    [
-      756, 1323, 1337, 1001, 1013, 1131, 1163, 663, 1434, 1307, 1319, 1419,
-      1555, 1540, 1482, 1566, 1600, 1601, 1602, 1603, 1604, 1605, 1606, 1607,
-      1608, 1609, 1610, 1611, 1612, 1613, 1614, 1615,
-    ],
-    [
-      1017, 1321, 775, 1339, 1439, 682, 1176, 1003, 1326, 1308, 1423, 1142,
-      1499, 1542, 1560, 1583, 1616, 1617, 1618, 1619, 1620, 1621, 1622, 1623,
-      1624, 1625, 1626, 1627, 1628, 1629, 1630, 1631,
-    ],
-    [
-      1005, 1341, 791, 1023, 1325, 699, 1193, 1311, 1331, 1440, 1123, 1425,
-      1544, 1519, 1557, 1632, 1633, 1634, 1635, 1636, 1637, 1638, 1639, 1640,
-      1641, 1642, 1643, 1644, 1645, 1646, 1647, 1648,
-    ],
-    [
-      1007, 1025, 1343, 702, 807, 1143, 1191, 1312, 1328, 1330, 1426, 1444,
-      1520, 1546, 1563, 1632, 1649, 1650, 1651, 1652, 1653, 1654, 1655, 1656,
-      1657, 1658, 1659, 1660, 1661, 1662, 1663, 1664,
-    ],
-    [1167, 1601, 1568, 1665],
-    [1178, 1618, 1585, 1666],
-    [1199, 1634, 1650, 1667],
-    [
-      1027, 1009, 1117, 734, 1317, 717, 1347, 1345, 1315, 1203, 1431, 1428,
-      1552, 1549, 1584, 1567, 1668, 1669, 1670, 1671, 1672, 1673, 1674, 1675,
-      1676, 1677, 1678, 1679, 1680, 1681, 1682, 1683,
-    ],
-    [
-      1348, 1029, 752, 1350, 787, 1019, 1435, 1322, 1324, 1127, 1441, 1216,
-      1554, 1600, 1558, 1633, 1684, 1685, 1686, 1687, 1688, 1689, 1690, 1691,
-      1692, 1693, 1694, 1695, 1696, 1697, 1698, 1699,
-    ],
-    [
-      1031, 1327, 774, 1021, 1353, 1145, 805, 1355, 1329, 1437, 1235, 1443,
-      1561, 1564, 1616, 1649, 1700, 1701, 1702, 1703, 1704, 1705, 1706, 1707,
-      1708, 1709, 1710, 1711, 1712, 1713, 1714, 1715,
-    ],
-    [1162, 1569, 1716, 1717],
-    [1164, 1603, 1718, 1719],
-    [1179, 1586, 1720, 1721],
-    [1181, 1617, 1722, 1723],
-    [1196, 1636, 1724, 1725],
-    [1194, 1651, 1726, 1727],
-    [
-      827, 723, 1033, 1045, 1332, 1368, 1448, 1430, 1356, 1344, 1156, 1205,
-      1570, 1716, 1668, 1728, 1729, 1730, 1731, 1732, 1733, 1734, 1735, 1736,
-      1737, 1738, 1739, 1740, 1741, 1742, 1743, 1744,
-    ],
-    [1213, 1670, 1728, 1745],
-    [1214, 1671, 1746, 1747],
-    [1165, 1729, 1748, 1749],
-    [1166, 1750, 1751, 1752],
-    [
-      1035, 1335, 845, 1361, 1451, 735, 1177, 1047, 1370, 1346, 1432, 1206,
-      1587, 1720, 1669, 1746, 1753, 1754, 1755, 1756, 1757, 1758, 1759, 1760,
-      1761, 1762, 1763, 1764, 1765, 1766, 1767, 1768,
-    ],
-    [
-      1349, 1049, 753, 1372, 857, 1037, 1436, 1336, 1358, 1159, 1453, 1217,
-      1602, 1718, 1684, 1750, 1769, 1770, 1771, 1772, 1773, 1774, 1775, 1776,
-      1777, 1778, 1779, 1780, 1781, 1782, 1783, 1784,
-    ],
-    [1182, 1753, 1785, 1786],
-    [1183, 1787, 1788, 1789],
-    [1231, 1687, 1769, 1790],
-    [1229, 1686, 1791, 1792],
-    [
-      1362, 1039, 874, 1338, 770, 1051, 1456, 1374, 1352, 1238, 1438, 1169,
-      1722, 1619, 1701, 1787, 1793, 1794, 1795, 1796, 1797, 1798, 1799, 1800,
-      1801, 1802, 1803, 1804, 1805, 1806, 1807, 1808,
-    ],
-    [
-      1053, 792, 1377, 1442, 1351, 1224, 892, 1041, 1340, 1364, 1190, 1459,
-      1685, 1635, 1724, 1791, 1809, 1810, 1811, 1812, 1813, 1814, 1815, 1816,
-      1817, 1818, 1819, 1820, 1821, 1822, 1823, 1824,
-    ],
-    [1246, 1703, 1793, 1825],
-    [1245, 1702, 1826, 1827],
-    [1198, 1809, 1828, 1829],
-    [1197, 1830, 1831, 1832],
-    [
-      809, 915, 1055, 1043, 1378, 1342, 1445, 1463, 1354, 1366, 1236, 1189,
-      1652, 1726, 1700, 1826, 1830, 1833, 1834, 1835, 1836, 1837, 1838, 1839,
-      1840, 1841, 1842, 1843, 1844, 1845, 1846, 1847,
-    ],
-    [1210, 1731, 1848, 1849],
-    [1212, 1754, 1850, 1851],
-    [1230, 1772, 1852, 1853],
-    [1226, 1811, 1854, 1855],
-    [1244, 1795, 1856, 1857],
-    [1242, 1834, 1858, 1859],
-    [
-      1057, 1385, 861, 1067, 1359, 822, 1257, 1357, 1383, 1452, 1155, 1446,
-      1751, 1748, 1770, 1730, 1860, 1861, 1862, 1863, 1864, 1865, 1866, 1867,
-      1868, 1869, 1870, 1871, 1872, 1873, 1874, 1875,
-    ],
-    [
-      1363, 1059, 875, 1360, 840, 1069, 1457, 1388, 1386, 1270, 1450, 1168,
-      1788, 1785, 1756, 1794, 1876, 1877, 1878, 1879, 1880, 1881, 1882, 1883,
-      1884, 1885, 1886, 1887, 1888, 1889, 1890, 1891,
-    ],
-    [
-      1061, 1079, 893, 1292, 1395, 909, 1365, 1367, 1397, 1187, 1458, 1461,
-      1828, 1831, 1810, 1833, 1892, 1893, 1894, 1895, 1896, 1897, 1898, 1899,
-      1900, 1901, 1902, 1903, 1904, 1905, 1906, 1907,
-    ],
-    [1215, 1908, 1909, 1910],
-    [1227, 1911, 1912, 1913],
-    [1247, 1914, 1915, 1916],
-    [
-      1063, 1081, 1369, 825, 929, 1207, 1255, 1398, 1380, 1382, 1447, 1465,
-      1732, 1848, 1908, 1860, 1917, 1918, 1919, 1920, 1921, 1922, 1923, 1924,
-      1925, 1926, 1927, 1928, 1929, 1930, 1931, 1932,
-    ],
-    [
-      1083, 1371, 844, 1065, 1387, 1209, 927, 1401, 1381, 1449, 1267, 1464,
-      1850, 1755, 1909, 1876, 1917, 1933, 1934, 1935, 1936, 1937, 1938, 1939,
-      1940, 1941, 1942, 1943, 1944, 1945, 1946, 1947,
-    ],
-    [
-      1071, 862, 1391, 1454, 1373, 1225, 943, 1085, 1384, 1402, 1254, 1468,
-      1771, 1912, 1852, 1861, 1948, 1949, 1950, 1951, 1952, 1953, 1954, 1955,
-      1956, 1957, 1958, 1959, 1960, 1961, 1962, 1963,
-    ],
-    [
-      878, 1375, 1389, 1075, 1087, 1243, 1275, 959, 1455, 1393, 1405, 1470,
-      1856, 1796, 1915, 1878, 1964, 1965, 1966, 1967, 1968, 1969, 1970, 1971,
-      1972, 1973, 1974, 1975, 1976, 1977, 1978, 1979,
-    ],
-    [
-      1073, 1376, 1390, 896, 947, 1089, 1223, 1460, 1469, 1394, 1406, 1283,
-      1812, 1854, 1911, 1893, 1948, 1980, 1981, 1982, 1983, 1984, 1985, 1986,
-      1987, 1988, 1989, 1990, 1991, 1992, 1993, 1994,
-    ],
-    [
-      1379, 1077, 965, 1408, 1091, 912, 1239, 1392, 1471, 1284, 1396, 1462,
-      1835, 1858, 1914, 1892, 1964, 1995, 1996, 1997, 1998, 1999, 2000, 2001,
-      2002, 2003, 2004, 2005, 2006, 2007, 2008, 2009,
-    ],
-    [1263, 1862, 1918, 2010],
-    [1260, 1863, 1949, 2011],
-    [1278, 1877, 1933, 2012],
-    [1276, 1967, 1879, 2013],
-    [1290, 1895, 1980, 2014],
-    [1294, 1894, 1995, 2015],
-    [1258, 1919, 2016, 2017],
-    [1277, 1935, 2018, 2019],
-    [1262, 1950, 2020, 2021],
-    [1279, 1966, 2022, 2023],
-    [1291, 1981, 2024, 2025],
-    [1289, 1997, 2026, 2027],
-    [1261, 2028, 2029, 2030],
-    [1274, 2031, 2032, 2033],
-    [1295, 2034, 2035, 2036],
-    [
-      931, 982, 1095, 1093, 1412, 1399, 1466, 1475, 1400, 1410, 1268, 1253,
-      1920, 1934, 2016, 2018, 2031, 2028, 2037, 2038, 2039, 2040, 2041, 2042,
-      2043, 2044, 2045, 2046, 2047, 2048, 2049, 2050,
-    ],
-    [
-      1097, 1101, 944, 1293, 1407, 977, 1403, 1411, 1415, 1251, 1467, 1473,
-      2024, 2020, 1982, 1951, 2029, 2035, 2037, 2051, 2052, 2053, 2054, 2055,
-      2056, 2057, 2058, 2059, 2060, 2061, 2062, 2063,
-    ],
-    [
-      1413, 1099, 966, 1409, 1103, 980, 1271, 1404, 1472, 1285, 1414, 1474,
-      2026, 1965, 1996, 2022, 2032, 2034, 2038, 2051, 2064, 2065, 2066, 2067,
-      2068, 2069, 2070, 2071, 2072, 2073, 2074, 2075,
-    ],
-    [1525, 1484, 1503, 2076],
-    [1487, 1574, 1604, 2077],
-    [1591, 1620, 1504, 2078],
-    [1526, 1653, 1637, 2079],
-    [1737, 1571, 1672, 2080],
-    [1592, 1757, 1673, 2081],
-    [1693, 1778, 1607, 2082],
-    [1628, 1798, 1706, 2083],
-    [1820, 1689, 1639, 2084],
-    [1841, 1654, 1704, 2085],
-    [1738, 1921, 1864, 2086],
-    [1765, 1881, 1938, 2087],
-    [1959, 1774, 1866, 2088],
-    [1802, 1885, 1971, 2089],
-    [1986, 1814, 1897, 2090],
-    [1840, 1998, 1896, 2091],
-    [2044, 1922, 1936, 2092],
-    [1987, 1953, 2053, 2093],
-    [2001, 2067, 1968, 2094],
-    [2043, 2064, 2052, 2095],
-    [1506, 1485, 2096, 2097],
-    [1495, 1528, 2098, 2099],
-    [1507, 1523, 2100, 2101],
-    [1492, 1579, 2102, 2103],
-    [1510, 1589, 2104, 2105],
-    [1605, 1488, 2106, 2107],
-    [1508, 1622, 2108, 2109],
-    [1641, 1524, 2110, 2111],
-    [1527, 1657, 2112, 2113],
-    [1675, 1572, 2114, 2115],
-    [1679, 1590, 2116, 2117],
-    [1606, 1575, 2118, 2119],
-    [1629, 1597, 2120, 2121],
-    [1613, 1692, 2122, 2123],
-    [1644, 1691, 2124, 2125],
-    [1714, 1623, 2126, 2127],
-    [1707, 1655, 2128, 2129],
-    [1640, 1656, 2130, 2131],
-    [1582, 1740, 2132, 2133],
-    [1766, 1598, 2134, 2135],
-    [1614, 1777, 2136, 2137],
-    [1627, 1805, 2138, 2139],
-    [1647, 1816, 2140, 2141],
-    [1662, 1842, 2142, 2143],
-    [1676, 1735, 2144, 2145],
-    [1677, 1759, 2146, 2147],
-    [1699, 1784, 2148, 2149],
-    [1821, 1696, 2150, 2151],
-    [1711, 1800, 2152, 2153],
-    [1708, 1839, 2154, 2155],
-    [1868, 1736, 2156, 2157],
-    [1871, 1776, 2158, 2159],
-    [1764, 1888, 2160, 2161],
-    [1808, 1891, 2162, 2163],
-    [1901, 1815, 2164, 2165],
-    [1900, 1838, 2166, 2167],
-    [1930, 1739, 2168, 2169],
-    [1946, 1760, 2170, 2171],
-    [1960, 1781, 2172, 2173],
-    [1977, 1801, 2174, 2175],
-    [1823, 1992, 2176, 2177],
-    [2009, 1843, 2178, 2179],
-    [1939, 1923, 2180, 2181],
-    [1867, 1924, 2182, 2183],
-    [1874, 1955, 2184, 2185],
-    [1943, 1883, 2186, 2187],
-    [1978, 1884, 2188, 2189],
-    [1962, 1993, 2190, 2191],
-    [1969, 2002, 2192, 2193],
-    [1903, 1984, 2194, 2195],
-    [1899, 1999, 2196, 2197],
-    [2045, 1925, 2198, 2199],
-    [1940, 2042, 2200, 2201],
-    [2057, 1954, 2202, 2203],
-    [1970, 2068, 2204, 2205],
-    [2059, 1985, 2206, 2207],
-    [2006, 2072, 2208, 2209],
-    [2056, 2041, 2210, 2211],
-    [2075, 2046, 2212, 2213],
-    [2055, 2065, 2214, 2215],
-    [
-      1533, 1550, 1511, 1680, 1539, 1553, 1537, 1112, 2096, 2114, 1486, 1573,
-      1588, 2104, 2116, 2102, 2216, 2217, 2218, 2219, 2220, 2221, 2222, 2223,
-      2224, 2225, 2226, 2227, 2228, 2229, 2230, 2231,
-    ],
-    [
-      1541, 1559, 1545, 1556, 1609, 1534, 2106, 1128, 1489, 1690, 2124, 1522,
-      1638, 2122, 2110, 2098, 2232, 2233, 2234, 2235, 2236, 2237, 2238, 2239,
-      2240, 2241, 2242, 2243, 2244, 2245, 2246, 2247,
-    ],
-    [
-      1565, 1543, 1535, 1562, 2128, 1547, 1709, 1144, 1658, 1621, 1521, 2108,
-      1505, 2100, 2126, 2112, 2248, 2249, 2250, 2251, 2252, 2253, 2254, 2255,
-      2256, 2257, 2258, 2259, 2260, 2261, 2262, 2263,
-    ],
-    [
-      1665, 1752, 1749, 1719, 1610, 1717, 2118, 1160, 1576, 1775, 2158, 1734,
-      1865, 2136, 2156, 2132, 2264, 2265, 2266, 2267, 2268, 2269, 2270, 2271,
-      2272, 2273, 2274, 2275, 2276, 2277, 2278, 2279,
-    ],
-    [
-      1789, 1723, 1786, 2163, 1666, 1721, 1626, 1763, 1593, 2138, 2160, 1172,
-      2120, 2134, 1797, 1880, 2280, 2281, 2282, 2283, 2284, 2285, 2286, 2287,
-      2288, 2289, 2290, 2291, 2292, 2293, 2294, 2295,
-    ],
-    [
-      1667, 1829, 1832, 1725, 2130, 1727, 1643, 1192, 1659, 1813, 1836, 2164,
-      1898, 2166, 2140, 2142, 2296, 2297, 2298, 2299, 2300, 2301, 2302, 2303,
-      2304, 2305, 2306, 2307, 2308, 2309, 2310, 2311,
-    ],
-    [
-      1910, 1747, 1745, 1851, 2180, 1849, 1941, 1208, 1926, 1758, 1733, 2146,
-      1674, 2144, 2170, 2168, 2312, 2313, 2314, 2315, 2316, 2317, 2318, 2319,
-      2320, 2321, 2322, 2323, 2324, 2325, 2326, 2327,
-    ],
-    [
-      1790, 1792, 1853, 2149, 1855, 1913, 1818, 1957, 1988, 2150, 2172, 1220,
-      2176, 2190, 1773, 1688, 2328, 2329, 2330, 2331, 2332, 2333, 2334, 2335,
-      2336, 2337, 2338, 2339, 2340, 2341, 2342, 2343,
-    ],
-    [
-      1916, 1825, 1827, 1857, 1973, 1859, 2192, 1240, 1799, 2003, 2152, 1837,
-      1705, 2174, 2154, 2178, 2344, 2345, 2346, 2347, 2348, 2349, 2350, 2351,
-      2352, 2353, 2354, 2355, 2356, 2357, 2358, 2359,
-    ],
-    [
-      2010, 2021, 2030, 2011, 2182, 2017, 1870, 1256, 1927, 1952, 2039, 2202,
-      2054, 2210, 2184, 2198, 2360, 2361, 2362, 2363, 2364, 2365, 2366, 2367,
-      2368, 2369, 2370, 2371, 2372, 2373, 2374, 2375,
-    ],
-    [
-      2023, 2012, 2019, 2013, 1974, 2033, 2204, 1272, 1882, 2069, 2186, 2040,
-      1937, 2188, 2200, 2212, 2376, 2377, 2378, 2379, 2380, 2381, 2382, 2383,
-      2384, 2385, 2386, 2387, 2388, 2389, 2390, 2391,
-    ],
-    [
-      2015, 2036, 1905, 2061, 2014, 2025, 2027, 1288, 2196, 2214, 2000, 2066,
-      1983, 2194, 2206, 2208, 2392, 2393, 2394, 2395, 2396, 2397, 2398, 2399,
-      2400, 2401, 2402, 2403, 2404, 2405, 2406, 2407,
-    ],
-    [1491, 2216, 2408, 2409],
-    [1513, 2219, 2410, 2411],
-    [1494, 2233, 2412, 2413],
-    [1514, 2255, 2414, 2415],
-    [1530, 2232, 2416, 2417],
-    [1529, 2248, 2418, 2419],
-    [1578, 2217, 2420, 2421],
-    [1594, 2218, 2422, 2423],
-    [1611, 2238, 2424, 2425],
-    [1624, 2250, 2426, 2427],
-    [1648, 2236, 2428, 2429],
-    [1663, 2249, 2430, 2431],
-    [1682, 2220, 2432, 2433],
-    [1581, 2265, 2434, 2435],
-    [1612, 2269, 2436, 2437],
-    [1599, 2280, 2438, 2439],
-    [1631, 2281, 2440, 2441],
-    [1694, 2234, 2442, 2443],
-    [1712, 2251, 2444, 2445],
-    [1645, 2299, 2446, 2447],
-    [1664, 2297, 2448, 2449],
-    [1683, 2319, 2450, 2451],
-    [1698, 2331, 2452, 2453],
-    [1715, 2348, 2454, 2455],
-    [1742, 2264, 2456, 2457],
-    [1768, 2282, 2458, 2459],
-    [1779, 2266, 2460, 2461],
-    [1807, 2283, 2462, 2463],
-    [1817, 2298, 2464, 2465],
-    [1844, 2296, 2466, 2467],
-    [1741, 2312, 2468, 2469],
-    [1761, 2314, 2470, 2471],
-    [1783, 2332, 2472, 2473],
-    [1803, 2346, 2474, 2475],
-    [1824, 2329, 2476, 2477],
-    [1845, 2344, 2478, 2479],
-    [1875, 2268, 2480, 2481],
-    [1890, 2284, 2482, 2483],
-    [1907, 2303, 2484, 2485],
-    [1931, 2313, 2486, 2487],
-    [1944, 2315, 2488, 2489],
-    [1872, 2363, 2490, 2491],
-    [1886, 2378, 2492, 2493],
-    [1963, 2330, 2494, 2495],
-    [1994, 2328, 2496, 2497],
-    [1975, 2350, 2498, 2499],
-    [2008, 2345, 2500, 2501],
-    [1906, 2395, 2502, 2503],
-    [1932, 2361, 2504, 2505],
-    [1947, 2380, 2506, 2507],
-    [1956, 2362, 2508, 2509],
-    [1976, 2381, 2510, 2511],
-    [1989, 2394, 2512, 2513],
-    [2005, 2392, 2514, 2515],
-    [2047, 2360, 2516, 2517],
-    [2048, 2376, 2518, 2519],
-    [2063, 2367, 2520, 2521],
-    [2074, 2377, 2522, 2523],
-    [2062, 2396, 2524, 2525],
-    [2071, 2393, 2526, 2527],
-    [
-      2076, 1531, 2097, 1490, 2101, 2409, 1509, 2099, 2224, 2416, 2410, 2412,
-      2253, 2414, 2418, 2235, 2528, 2529, 2530, 2531, 2532, 2533, 2534, 2535,
-      2536, 2537, 2538, 2539, 2540, 2541, 2542, 2543,
-    ],
-    [
-      2077, 1493, 1580, 2413, 2435, 2107, 2119, 2103, 1608, 2240, 2272, 2424,
-      2436, 2408, 2420, 2221, 2529, 2544, 2545, 2546, 2547, 2548, 2549, 2550,
-      2551, 2552, 2553, 2554, 2555, 2556, 2557, 2558,
-    ],
-    [
-      2078, 2109, 2427, 1595, 2422, 2105, 1512, 1625, 2121, 2438, 2440, 2257,
-      2415, 2411, 2222, 2285, 2528, 2559, 2560, 2561, 2562, 2563, 2564, 2565,
-      2566, 2567, 2568, 2569, 2570, 2571, 2572, 2573,
-    ],
-    [
-      2079, 2417, 1532, 2131, 1660, 2111, 1642, 2307, 2113, 2449, 2419, 2446,
-      2428, 2430, 2237, 2252, 2530, 2574, 2575, 2576, 2577, 2578, 2579, 2580,
-      2581, 2582, 2583, 2584, 2585, 2586, 2587, 2588,
-    ],
-    [
-      2080, 1743, 2115, 2469, 1577, 2145, 2421, 1678, 2133, 2225, 2456, 2432,
-      2434, 2317, 2450, 2267, 2545, 2589, 2590, 2591, 2592, 2593, 2594, 2595,
-      2596, 2597, 2598, 2599, 2600, 2601, 2602, 2603,
-    ],
-    [
-      2081, 2147, 2471, 1596, 2423, 2117, 1681, 1762, 2135, 2439, 2458, 2321,
-      2451, 2433, 2223, 2286, 2559, 2589, 2604, 2605, 2606, 2607, 2608, 2609,
-      2610, 2611, 2612, 2613, 2614, 2615, 2616, 2617,
-    ],
-    [
-      2123, 2137, 2082, 1615, 2443, 2461, 1697, 1782, 2453, 2473, 2148, 2342,
-      2425, 2437, 2241, 2273, 2544, 2618, 2619, 2620, 2621, 2622, 2623, 2624,
-      2625, 2626, 2627, 2628, 2629, 2630, 2631, 2632,
-    ],
-    [
-      2153, 2083, 1630, 1713, 2441, 2474, 2127, 1804, 2139, 2426, 2355, 2462,
-      2455, 2288, 2445, 2254, 2560, 2633, 2634, 2635, 2636, 2637, 2638, 2639,
-      2640, 2641, 2642, 2643, 2644, 2645, 2646, 2647,
-    ],
-    [
-      2125, 2084, 1822, 1646, 2442, 2477, 2141, 1695, 2151, 2464, 2243, 2452,
-      2429, 2335, 2447, 2301, 2574, 2618, 2648, 2649, 2650, 2651, 2652, 2653,
-      2654, 2655, 2656, 2657, 2658, 2659, 2660, 2661,
-    ],
-    [
-      2085, 2479, 1847, 2129, 1661, 2155, 2259, 1710, 2143, 2431, 2466, 2444,
-      2454, 2448, 2349, 2300, 2575, 2633, 2662, 2663, 2664, 2665, 2666, 2667,
-      2668, 2669, 2670, 2671, 2672, 2673, 2674, 2675,
-    ],
-    [
-      2086, 2457, 1744, 2183, 1928, 2157, 1869, 2371, 2169, 2505, 2468, 2490,
-      2480, 2486, 2270, 2316, 2590, 2676, 2677, 2678, 2679, 2680, 2681, 2682,
-      2683, 2684, 2685, 2686, 2687, 2688, 2689, 2690,
-    ],
-    [
-      2187, 2087, 1767, 1945, 2459, 2492, 2171, 1887, 2161, 2470, 2387, 2482,
-      2507, 2289, 2489, 2318, 2604, 2691, 2692, 2693, 2694, 2695, 2696, 2697,
-      2698, 2699, 2700, 2701, 2702, 2703, 2704, 2705,
-    ],
-    [
-      2159, 2088, 1961, 1873, 2460, 2495, 2185, 1780, 2173, 2508, 2275, 2472,
-      2481, 2336, 2491, 2365, 2619, 2676, 2706, 2707, 2708, 2709, 2710, 2711,
-      2712, 2713, 2714, 2715, 2716, 2717, 2718, 2719,
-    ],
-    [
-      2175, 2189, 2089, 1979, 2475, 2493, 1806, 1889, 2463, 2483, 2162, 2295,
-      2499, 2511, 2352, 2384, 2634, 2691, 2720, 2721, 2722, 2723, 2724, 2725,
-      2726, 2727, 2728, 2729, 2730, 2731, 2732, 2733,
-    ],
-    [
-      2090, 2165, 2465, 1990, 2512, 2195, 1819, 1904, 2177, 2496, 2476, 2305,
-      2485, 2503, 2333, 2398, 2648, 2734, 2735, 2736, 2737, 2738, 2739, 2740,
-      2741, 2742, 2743, 2744, 2745, 2746, 2747, 2748,
-    ],
-    [
-      2091, 1846, 2197, 2467, 2004, 2167, 2515, 1902, 2179, 2400, 2478, 2500,
-      2502, 2302, 2484, 2347, 2662, 2734, 2749, 2750, 2751, 2752, 2753, 2754,
-      2755, 2756, 2757, 2758, 2759, 2760, 2761, 2762,
-    ],
-    [
-      2092, 2519, 2050, 2181, 1929, 2201, 2323, 1942, 2199, 2487, 2517, 2488,
-      2506, 2504, 2382, 2364, 2677, 2692, 2763, 2764, 2765, 2766, 2767, 2768,
-      2769, 2770, 2771, 2772, 2773, 2774, 2775, 2776,
-    ],
-    [
-      2093, 2203, 2509, 1991, 2513, 2207, 1958, 2060, 2191, 2497, 2494, 2369,
-      2521, 2525, 2334, 2399, 2706, 2735, 2777, 2778, 2779, 2780, 2781, 2782,
-      2783, 2784, 2785, 2786, 2787, 2788, 2789, 2790,
-    ],
-    [
-      2094, 2007, 2073, 2501, 2523, 2193, 2205, 1972, 2209, 2353, 2385, 2498,
-      2510, 2514, 2526, 2397, 2749, 2720, 2791, 2792, 2793, 2794, 2795, 2796,
-      2797, 2798, 2799, 2800, 2801, 2802, 2803, 2804,
-    ],
-    [
-      2095, 2049, 2215, 2070, 2211, 2527, 2058, 2213, 2401, 2518, 2522, 2524,
-      2366, 2520, 2516, 2379, 2763, 2791, 2777, 2805, 2806, 2807, 2808, 2809,
-      2810, 2811, 2812, 2813, 2814, 2815, 2816, 2817,
-    ],
-    [2226, 2531, 2546, 2818],
-    [2230, 2535, 2561, 2819],
-    [2555, 2242, 2532, 2820],
-    [2261, 2562, 2533, 2821],
-    [2239, 2581, 2534, 2822],
-    [2256, 2536, 2577, 2823],
-    [2227, 2594, 2547, 2824],
-    [2228, 2563, 2607, 2825],
-    [2246, 2548, 2620, 2826],
-    [2260, 2565, 2636, 2827],
-    [2244, 2650, 2578, 2828],
-    [2258, 2667, 2576, 2829],
-    [2231, 2595, 2605, 2830],
-    [2247, 2652, 2622, 2831],
-    [2263, 2666, 2635, 2832],
-    [2556, 2274, 2591, 2833],
-    [2278, 2549, 2621, 2834],
-    [2287, 2566, 2610, 2835],
-    [2647, 2290, 2564, 2836],
-    [2311, 2579, 2649, 2837],
-    [2306, 2580, 2663, 2838],
-    [2325, 2606, 2592, 2839],
-    [2271, 2683, 2593, 2840],
-    [2279, 2710, 2623, 2841],
-    [2705, 2291, 2608, 2842],
-    [2292, 2731, 2641, 2843],
-    [2340, 2630, 2655, 2844],
-    [2356, 2637, 2665, 2845],
-    [2308, 2740, 2651, 2846],
-    [2304, 2755, 2664, 2847],
-    [2320, 2596, 2679, 2848],
-    [2324, 2609, 2694, 2849],
-    [2276, 2708, 2680, 2850],
-    [2293, 2732, 2699, 2851],
-    [2341, 2631, 2713, 2852],
-    [2661, 2338, 2739, 2853],
-    [2359, 2638, 2723, 2854],
-    [2351, 2668, 2751, 2855],
-    [2309, 2737, 2752, 2856],
-    [2322, 2768, 2678, 2857],
-    [2327, 2767, 2693, 2858],
-    [2719, 2339, 2781, 2859],
-    [2337, 2741, 2783, 2860],
-    [2358, 2794, 2721, 2861],
-    [2801, 2354, 2750, 2862],
-    [2375, 2681, 2707, 2863],
-    [2391, 2696, 2724, 2864],
-    [2406, 2754, 2736, 2865],
-    [2370, 2682, 2764, 2866],
-    [2388, 2695, 2766, 2867],
-    [2372, 2782, 2709, 2868],
-    [2390, 2795, 2722, 2869],
-    [2404, 2738, 2780, 2870],
-    [2402, 2753, 2792, 2871],
-    [2368, 2810, 2765, 2872],
-    [2383, 2769, 2807, 2873],
-    [2373, 2779, 2808, 2874],
-    [2802, 2386, 2806, 2875],
-    [2407, 2809, 2778, 2876],
-    [2403, 2805, 2793, 2877],
-    [2540, 2553, 2878, 2879],
-    [2537, 2567, 2880, 2881],
-    [2542, 2586, 2882, 2883],
-    [2600, 2554, 2884, 2885],
-    [2572, 2616, 2886, 2887],
-    [2557, 2624, 2888, 2889],
-    [2573, 2642, 2890, 2891],
-    [2585, 2653, 2892, 2893],
-    [2584, 2671, 2894, 2895],
-    [2597, 2611, 2896, 2897],
-    [2659, 2628, 2898, 2899],
-    [2672, 2639, 2900, 2901],
-    [2602, 2688, 2902, 2903],
-    [2617, 2700, 2904, 2905],
-    [2717, 2629, 2906, 2907],
-    [2645, 2729, 2908, 2909],
-    [2748, 2657, 2910, 2911],
-    [2761, 2673, 2912, 2913],
-    [2687, 2711, 2914, 2915],
-    [2703, 2730, 2916, 2917],
-    [2756, 2742, 2918, 2919],
-    [2686, 2772, 2920, 2921],
-    [2773, 2697, 2922, 2923],
-    [2790, 2715, 2924, 2925],
-    [2803, 2725, 2926, 2927],
-    [2747, 2789, 2928, 2929],
-    [2759, 2799, 2930, 2931],
-    [2816, 2774, 2932, 2933],
-    [2811, 2784, 2934, 2935],
-    [2814, 2800, 2936, 2937],
-    [2538, 2938, 2939, 2940],
-    [2558, 2941, 2942, 2943],
-    [2571, 2944, 2945, 2946],
-    [2588, 2947, 2948, 2949],
-    [2598, 2950, 2951, 2952],
-    [2615, 2953, 2954, 2955],
-    [2627, 2956, 2957, 2958],
-    [2644, 2959, 2960, 2961],
-    [2658, 2962, 2963, 2964],
-    [2675, 2965, 2966, 2967],
-    [2690, 2968, 2969, 2970],
-    [2702, 2971, 2972, 2973],
-    [2716, 2974, 2975, 2976],
-    [2728, 2977, 2978, 2979],
-    [2746, 2980, 2981, 2982],
-    [2757, 2983, 2984, 2985],
-    [2776, 2986, 2987, 2988],
-    [2788, 2989, 2990, 2991],
-    [2804, 2992, 2993, 2994],
-    [2812, 2995, 2996, 2997],
-    [
-      2229, 2819, 2830, 2543, 2603, 2818, 2824, 2880, 2896, 2825, 2569, 2613,
-      2552, 2878, 2884, 2940, 2952, 2886, 2944, 2953, 2941, 2998, 2999, 3000,
-      3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008,
-    ],
-    [
-      2820, 2893, 2822, 2828, 2245, 2587, 2826, 2888, 2831, 2539, 2656, 2879,
-      2625, 2963, 2551, 2942, 2898, 2883, 2956, 2948, 2938, 2998, 3009, 3010,
-      3011, 3012, 3013, 3014, 3015, 3016, 3017, 3018,
-    ],
-    [
-      2881, 2821, 2262, 2829, 2823, 2832, 2541, 2827, 2967, 2900, 2570, 2583,
-      2894, 2640, 2669, 2890, 2882, 2946, 2939, 2959, 2947, 2999, 3009, 3019,
-      3020, 3021, 3022, 3023, 3024, 3025, 3026, 3027,
-    ],
-    [
-      2833, 2915, 2840, 2850, 2277, 2689, 2834, 2889, 2841, 2599, 2714, 2885,
-      2626, 2975, 2943, 2550, 2906, 2903, 2957, 2969, 2950, 3000, 3010, 3028,
-      3029, 3030, 3031, 3032, 3033, 3034, 3035, 3036,
-    ],
-    [
-      2909, 2917, 2891, 2905, 2835, 2646, 2704, 2836, 2842, 2843, 2851, 2887,
-      2294, 2733, 2979, 2961, 2973, 2612, 2568, 2945, 2954, 3020, 3001, 3037,
-      3038, 3039, 3040, 3041, 3042, 3043, 3044, 3045,
-    ],
-    [
-      2919, 2856, 2838, 2310, 2847, 2837, 2760, 2846, 2949, 2892, 2745, 2670,
-      2895, 2654, 2582, 2910, 2912, 2982, 2984, 2962, 2965, 3012, 3019, 3046,
-      3047, 3048, 3049, 3050, 3051, 3052, 3053, 3054,
-    ],
-    [
-      2897, 2839, 2326, 2857, 2848, 2858, 2601, 2849, 2988, 2922, 2614, 2685,
-      2920, 2698, 2770, 2904, 2902, 2955, 2951, 2971, 2968, 3002, 3037, 3028,
-      3055, 3056, 3057, 3058, 3059, 3060, 3061, 3062,
-    ],
-    [
-      2899, 2907, 2911, 2925, 2860, 2660, 2718, 2853, 2859, 2844, 2852, 2958,
-      2632, 2343, 2929, 2964, 2976, 2743, 2785, 2981, 2990, 3011, 3029, 3047,
-      3063, 3064, 3065, 3066, 3067, 3068, 3069, 3070,
-    ],
-    [
-      2862, 2901, 2855, 2845, 2674, 2357, 2861, 2926, 2854, 2643, 2758, 2726,
-      2931, 2960, 2993, 2796, 2908, 2913, 2977, 2966, 2983, 3021, 3038, 3046,
-      3071, 3072, 3073, 3074, 3075, 3076, 3077, 3078,
-    ],
-    [
-      2935, 2874, 2866, 2374, 2872, 2863, 2815, 2868, 2970, 2914, 2787, 2771,
-      2921, 2712, 2684, 2924, 2932, 2991, 2996, 2974, 2986, 3030, 3064, 3055,
-      3079, 3080, 3081, 3082, 3083, 3084, 3085, 3086,
-    ],
-    [
-      2875, 2923, 2873, 2867, 2775, 2389, 2869, 2927, 2864, 2701, 2813, 2727,
-      2937, 2972, 2797, 2994, 2916, 2933, 2978, 2987, 2995, 3056, 3039, 3071,
-      3079, 3087, 3088, 3089, 3090, 3091, 3092, 3093,
-    ],
-    [
-      2405, 2865, 2876, 2762, 2817, 2871, 2877, 2918, 2934, 2870, 2744, 2786,
-      2798, 2930, 2936, 2985, 2997, 2928, 2980, 2989, 2992, 3048, 3063, 3072,
-      3080, 3087, 3094, 3095, 3096, 3097, 3098, 3099,
-    ],
-    [3004, 3023, 3013, 3100],
-    [3015, 3033, 3003, 3101],
-    [3027, 3006, 3040, 3102],
-    [3051, 3014, 3022, 3103],
-    [3005, 3058, 3031, 3104],
-    [3062, 3007, 3041, 3105],
-    [3018, 3036, 3069, 3106],
-    [3077, 3025, 3042, 3107],
-    [3017, 3052, 3067, 3108],
-    [3024, 3074, 3049, 3109],
-    [3083, 3032, 3057, 3110],
-    [3092, 3060, 3043, 3111],
-    [3035, 3084, 3068, 3112],
-    [3078, 3093, 3044, 3113],
-    [3054, 3097, 3065, 3114],
-    [3095, 3050, 3073, 3115],
-    [3059, 3089, 3081, 3116],
-    [3086, 3098, 3066, 3117],
-    [3075, 3090, 3094, 3118],
-    [3096, 3082, 3088, 3119],
-    [
-      3103, 3109, 3110, 3116, 3008, 3099, 3101, 3118, 3026, 3053, 3061, 3085,
-      3102, 3105, 3114, 3117, 3016, 3034, 3076, 3091, 3107, 3108, 3111, 3112,
-      3106, 3113, 3104, 3115, 3100, 3119, 3045, 3070,
-    ],
-  ],
-}
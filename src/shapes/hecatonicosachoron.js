@@ -1,1832 +0,0 @@
-export default {
-  vertices: [
-    [0.0, 2.0, 0.0, -2.0],
-    [0.0, 2.0, 0.0, 2.0],
-    [0.0, -2.0, 0.0, -2.0],
-    [0.0, -2.0, 0.0, 2.0],
-    [-2.0, 0.0, 2.0, 0.0],
-    [2.0, 0.0, 2.0, 0.0],
-    [-2.0, 0.0, -2.0, 0.0],
-    [2.0, 0.0, -2.0, 0.0],
-    [-0.3819660112501051, 0.0, -2.618033988749895, 1.0],
-    [0.3819660112501051, 0.0, -2.618033988749895, 1.0],
-    [-0.3819660112501051, 0.0, 2.618033988749895, 1.0],
-    [0.3819660112501051, 0.0, 2.618033988749895, 1.0],
-    [-0.3819660112501051, 0.0, -2.618033988749895, -1.0],
-    [0.3819660112501051, 0.0, -2.618033988749895, -1.0],
-    [-0.3819660112501051, 0.0, 2.618033988749895, -1.0],
-    [0.3819660112501051, 0.0, 2.618033988749895, -1.0],
-    [0.6180339887498949, 0.0, 2.23606797749979, -1.618033988749895],
-    [0.6180339887498949, 0.0, 2.23606797749979, 1.618033988749895],
-    [-0.6180339887498949, 0.0, 2.23606797749979, -1.618033988749895],
-    [0.0, 0.3819660112501051, 1.0, -2.618033988749895],
-    [0.0, -0.3819660112501051, 1.0, -2.618033988749895],
-    [0.0, 0.6180339887498949, 1.618033988749895, -2.23606797749979],
-    [0.0, -0.6180339887498949, 1.618033988749895, -2.23606797749979],
-    [0.0, 0.0, 2.0, -2.0],
-    [-0.6180339887498949, 0.0, 2.23606797749979, 1.618033988749895],
-    [0.0, 0.3819660112501051, 1.0, 2.618033988749895],
-    [0.0, -0.3819660112501051, 1.0, 2.618033988749895],
-    [0.0, 0.6180339887498949, 1.618033988749895, 2.23606797749979],
-    [0.0, -0.6180339887498949, 1.618033988749895, 2.23606797749979],
-    [0.0, 0.0, 2.0, 2.0],
-    [0.6180339887498949, 0.0, -2.23606797749979, -1.618033988749895],
-    [0.6180339887498949, 0.0, -2.23606797749979, 1.618033988749895],
-    [-0.6180339887498949, 0.0, -2.23606797749979, -1.618033988749895],
-    [0.0, 0.6180339887498949, -1.618033988749895, -2.23606797749979],
-    [0.0, -0.6180339887498949, -1.618033988749895, -2.23606797749979],
-    [0.0, 0.3819660112501051, -1.0, -2.618033988749895],
-    [0.0, -0.3819660112501051, -1.0, -2.618033988749895],
-    [0.0, 0.0, -2.0, -2.0],
-    [-0.6180339887498949, 0.0, -2.23606797749979, 1.618033988749895],
-    [0.0, 0.6180339887498949, -1.618033988749895, 2.23606797749979],
-    [0.0, -0.6180339887498949, -1.618033988749895, 2.23606797749979],
-    [0.0, 0.3819660112501051, -1.0, 2.618033988749895],
-    [0.0, -0.3819660112501051, -1.0, 2.618033988749895],
-    [0.0, 0.0, -2.0, 2.0],
-    [0.0, -2.23606797749979, 0.6180339887498949, 1.618033988749895],
-    [0.0, -2.618033988749895, 0.3819660112501051, 1.0],
-    [0.0, 2.23606797749979, 0.6180339887498949, 1.618033988749895],
-    [0.0, 2.618033988749895, 0.3819660112501051, 1.0],
-    [0.0, -2.23606797749979, -0.6180339887498949, 1.618033988749895],
-    [0.0, -2.618033988749895, -0.3819660112501051, 1.0],
-    [0.0, 2.23606797749979, -0.6180339887498949, 1.618033988749895],
-    [0.0, 2.618033988749895, -0.3819660112501051, 1.0],
-    [
-      0.6180339887498949, -2.618033988749895, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [1.618033988749895, -0.6180339887498949, 2.23606797749979, 0.0],
-    [
-      0.6180339887498949, -0.6180339887498949, 2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      0.6180339887498949, -0.6180339887498949, 2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [1.0, -0.3819660112501051, 2.618033988749895, 0.0],
-    [
-      0.6180339887498949, 2.618033988749895, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [1.618033988749895, 0.6180339887498949, 2.23606797749979, 0.0],
-    [
-      0.6180339887498949, 0.6180339887498949, 2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      0.6180339887498949, 0.6180339887498949, 2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [1.0, 0.3819660112501051, 2.618033988749895, 0.0],
-    [
-      0.6180339887498949, -2.618033988749895, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [1.0, -2.618033988749895, 0.0, 0.3819660112501051],
-    [1.0, -2.618033988749895, 0.0, -0.3819660112501051],
-    [1.618033988749895, -0.6180339887498949, -2.23606797749979, 0.0],
-    [
-      0.6180339887498949, -0.6180339887498949, -2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      0.6180339887498949, -0.6180339887498949, -2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [1.0, -0.3819660112501051, -2.618033988749895, 0.0],
-    [
-      0.6180339887498949, 2.618033988749895, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [1.0, 2.618033988749895, 0.0, 0.3819660112501051],
-    [1.0, 2.618033988749895, 0.0, -0.3819660112501051],
-    [1.618033988749895, 0.6180339887498949, -2.23606797749979, 0.0],
-    [
-      0.6180339887498949, 0.6180339887498949, -2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      0.6180339887498949, 0.6180339887498949, -2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [1.0, 0.3819660112501051, -2.618033988749895, 0.0],
-    [
-      -0.6180339887498949, -2.618033988749895, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-1.618033988749895, -0.6180339887498949, 2.23606797749979, 0.0],
-    [
-      -0.6180339887498949, -0.6180339887498949, 2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      -0.6180339887498949, -0.6180339887498949, 2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [0.0, -1.618033988749895, 2.23606797749979, 0.6180339887498949],
-    [0.0, -1.0, 2.618033988749895, 0.3819660112501051],
-    [0.0, -1.0, 2.618033988749895, -0.3819660112501051],
-    [-1.0, -0.3819660112501051, 2.618033988749895, 0.0],
-    [0.0, -2.23606797749979, 0.6180339887498949, -1.618033988749895],
-    [0.3819660112501051, -2.618033988749895, 1.0, 0.0],
-    [0.6180339887498949, -2.23606797749979, 1.618033988749895, 0.0],
-    [
-      0.6180339887498949, -2.618033988749895, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [0.0, -2.618033988749895, 0.3819660112501051, -1.0],
-    [
-      -0.6180339887498949, -2.618033988749895, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-0.3819660112501051, -2.618033988749895, 1.0, 0.0],
-    [-0.6180339887498949, -2.23606797749979, 1.618033988749895, 0.0],
-    [0.0, -2.0, 2.0, 0.0],
-    [0.0, -1.618033988749895, 2.23606797749979, -0.6180339887498949],
-    [
-      -0.6180339887498949, 2.618033988749895, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-1.618033988749895, 0.6180339887498949, 2.23606797749979, 0.0],
-    [
-      -0.6180339887498949, 0.6180339887498949, 2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      -0.6180339887498949, 0.6180339887498949, 2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [0.0, 1.618033988749895, 2.23606797749979, 0.6180339887498949],
-    [0.0, 1.0, 2.618033988749895, 0.3819660112501051],
-    [0.0, 1.0, 2.618033988749895, -0.3819660112501051],
-    [-1.0, 0.3819660112501051, 2.618033988749895, 0.0],
-    [0.0, 2.23606797749979, 0.6180339887498949, -1.618033988749895],
-    [0.3819660112501051, 2.618033988749895, 1.0, 0.0],
-    [0.6180339887498949, 2.23606797749979, 1.618033988749895, 0.0],
-    [
-      0.6180339887498949, 2.618033988749895, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [0.0, 2.618033988749895, 0.3819660112501051, -1.0],
-    [
-      -0.6180339887498949, 2.618033988749895, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-0.3819660112501051, 2.618033988749895, 1.0, 0.0],
-    [-0.6180339887498949, 2.23606797749979, 1.618033988749895, 0.0],
-    [0.0, 2.0, 2.0, 0.0],
-    [0.0, 1.618033988749895, 2.23606797749979, -0.6180339887498949],
-    [
-      -0.6180339887498949, -2.618033988749895, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-1.0, -2.618033988749895, 0.0, 0.3819660112501051],
-    [-1.0, -2.618033988749895, 0.0, -0.3819660112501051],
-    [-1.618033988749895, -0.6180339887498949, -2.23606797749979, 0.0],
-    [
-      -0.6180339887498949, -0.6180339887498949, -2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      -0.6180339887498949, -0.6180339887498949, -2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [0.0, -1.618033988749895, -2.23606797749979, 0.6180339887498949],
-    [0.0, -1.0, -2.618033988749895, 0.3819660112501051],
-    [0.0, -1.0, -2.618033988749895, -0.3819660112501051],
-    [-1.0, -0.3819660112501051, -2.618033988749895, 0.0],
-    [0.0, -2.23606797749979, -0.6180339887498949, -1.618033988749895],
-    [0.3819660112501051, -2.618033988749895, -1.0, 0.0],
-    [
-      0.6180339887498949, -2.618033988749895, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [0.6180339887498949, -2.23606797749979, -1.618033988749895, 0.0],
-    [0.0, -2.618033988749895, -0.3819660112501051, -1.0],
-    [-0.3819660112501051, -2.618033988749895, -1.0, 0.0],
-    [
-      -0.6180339887498949, -2.618033988749895, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-0.6180339887498949, -2.23606797749979, -1.618033988749895, 0.0],
-    [0.0, -2.0, -2.0, 0.0],
-    [0.0, -1.618033988749895, -2.23606797749979, -0.6180339887498949],
-    [
-      -0.6180339887498949, 2.618033988749895, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-1.0, 2.618033988749895, 0.0, 0.3819660112501051],
-    [-1.0, 2.618033988749895, 0.0, -0.3819660112501051],
-    [-1.618033988749895, 0.6180339887498949, -2.23606797749979, 0.0],
-    [
-      -0.6180339887498949, 0.6180339887498949, -2.618033988749895,
-      0.6180339887498949,
-    ],
-    [
-      -0.6180339887498949, 0.6180339887498949, -2.618033988749895,
-      -0.6180339887498949,
-    ],
-    [0.0, 1.618033988749895, -2.23606797749979, 0.6180339887498949],
-    [0.0, 1.0, -2.618033988749895, 0.3819660112501051],
-    [0.0, 1.0, -2.618033988749895, -0.3819660112501051],
-    [-1.0, 0.3819660112501051, -2.618033988749895, 0.0],
-    [0.0, 2.23606797749979, -0.6180339887498949, -1.618033988749895],
-    [0.3819660112501051, 2.618033988749895, -1.0, 0.0],
-    [
-      0.6180339887498949, 2.618033988749895, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [0.6180339887498949, 2.23606797749979, -1.618033988749895, 0.0],
-    [0.0, 2.618033988749895, -0.3819660112501051, -1.0],
-    [-0.3819660112501051, 2.618033988749895, -1.0, 0.0],
-    [
-      -0.6180339887498949, 2.618033988749895, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-0.6180339887498949, 2.23606797749979, -1.618033988749895, 0.0],
-    [0.0, 2.0, -2.0, 0.0],
-    [0.0, 1.618033988749895, -2.23606797749979, -0.6180339887498949],
-    [-1.0, 0.6180339887498949, 2.0, 1.618033988749895],
-    [-0.6180339887498949, 1.0, 1.618033988749895, 2.0],
-    [-0.6180339887498949, 2.0, 1.0, 1.618033988749895],
-    [
-      -0.3819660112501051, 1.618033988749895, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [-1.0, 2.23606797749979, 1.0, 1.0],
-    [-1.618033988749895, 1.0, 2.0, 0.6180339887498949],
-    [-1.0, 1.0, 2.23606797749979, 1.0],
-    [-0.6180339887498949, 1.618033988749895, 2.0, 1.0],
-    [
-      -1.618033988749895, 1.618033988749895, 1.618033988749895,
-      0.3819660112501051,
-    ],
-    [-1.0, 2.0, 1.618033988749895, 0.6180339887498949],
-    [1.0, 0.6180339887498949, 2.0, 1.618033988749895],
-    [0.6180339887498949, 1.0, 1.618033988749895, 2.0],
-    [0.6180339887498949, 2.0, 1.0, 1.618033988749895],
-    [1.0, 2.23606797749979, 1.0, 1.0],
-    [1.618033988749895, 1.0, 2.0, 0.6180339887498949],
-    [1.0, 1.0, 2.23606797749979, 1.0],
-    [0.6180339887498949, 1.618033988749895, 2.0, 1.0],
-    [
-      1.618033988749895, 1.618033988749895, 1.618033988749895,
-      0.3819660112501051,
-    ],
-    [1.0, 2.0, 1.618033988749895, 0.6180339887498949],
-    [
-      0.3819660112501051, 1.618033988749895, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [-1.0, 0.6180339887498949, 2.0, -1.618033988749895],
-    [-0.6180339887498949, 1.0, 1.618033988749895, -2.0],
-    [-1.618033988749895, 1.0, 2.0, -0.6180339887498949],
-    [-1.0, 1.0, 2.23606797749979, -1.0],
-    [
-      -0.3819660112501051, 1.618033988749895, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-0.6180339887498949, 2.0, 1.0, -1.618033988749895],
-    [-1.0, 2.23606797749979, 1.0, -1.0],
-    [-1.0, 2.0, 1.618033988749895, -0.6180339887498949],
-    [-0.6180339887498949, 1.618033988749895, 2.0, -1.0],
-    [
-      -1.618033988749895, 1.618033988749895, 1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [1.0, 0.6180339887498949, 2.0, -1.618033988749895],
-    [0.6180339887498949, 1.0, 1.618033988749895, -2.0],
-    [1.618033988749895, 1.0, 2.0, -0.6180339887498949],
-    [1.0, 1.0, 2.23606797749979, -1.0],
-    [0.6180339887498949, 2.0, 1.0, -1.618033988749895],
-    [1.0, 2.0, 1.618033988749895, -0.6180339887498949],
-    [1.0, 2.23606797749979, 1.0, -1.0],
-    [0.6180339887498949, 1.618033988749895, 2.0, -1.0],
-    [
-      1.618033988749895, 1.618033988749895, 1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [
-      0.3819660112501051, 1.618033988749895, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-1.0, -0.6180339887498949, 2.0, 1.618033988749895],
-    [-0.6180339887498949, -1.0, 1.618033988749895, 2.0],
-    [-0.6180339887498949, -2.0, 1.0, 1.618033988749895],
-    [
-      -0.3819660112501051, -1.618033988749895, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [-1.0, -2.23606797749979, 1.0, 1.0],
-    [-1.618033988749895, -1.0, 2.0, 0.6180339887498949],
-    [-1.0, -1.0, 2.23606797749979, 1.0],
-    [-0.6180339887498949, -1.618033988749895, 2.0, 1.0],
-    [
-      -1.618033988749895, -1.618033988749895, 1.618033988749895,
-      0.3819660112501051,
-    ],
-    [-1.0, -2.0, 1.618033988749895, 0.6180339887498949],
-    [-2.23606797749979, 0.0, 1.618033988749895, 0.6180339887498949],
-    [
-      -1.618033988749895, 0.3819660112501051, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [-2.0, 0.6180339887498949, 1.618033988749895, 1.0],
-    [-2.618033988749895, 0.0, 1.0, 0.3819660112501051],
-    [
-      -1.618033988749895, -0.3819660112501051, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [-2.0, -0.6180339887498949, 1.618033988749895, 1.0],
-    [1.0, -0.6180339887498949, 2.0, 1.618033988749895],
-    [0.6180339887498949, -1.0, 1.618033988749895, 2.0],
-    [0.6180339887498949, -2.0, 1.0, 1.618033988749895],
-    [1.0, -2.23606797749979, 1.0, 1.0],
-    [1.618033988749895, -1.0, 2.0, 0.6180339887498949],
-    [1.0, -1.0, 2.23606797749979, 1.0],
-    [0.6180339887498949, -1.618033988749895, 2.0, 1.0],
-    [
-      1.618033988749895, -1.618033988749895, 1.618033988749895,
-      0.3819660112501051,
-    ],
-    [1.0, -2.0, 1.618033988749895, 0.6180339887498949],
-    [
-      0.3819660112501051, -1.618033988749895, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [2.23606797749979, 0.0, 1.618033988749895, 0.6180339887498949],
-    [
-      1.618033988749895, 0.3819660112501051, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [2.0, 0.6180339887498949, 1.618033988749895, 1.0],
-    [2.618033988749895, 0.0, 1.0, 0.3819660112501051],
-    [
-      1.618033988749895, -0.3819660112501051, 1.618033988749895,
-      1.618033988749895,
-    ],
-    [2.0, -0.6180339887498949, 1.618033988749895, 1.0],
-    [-1.0, -0.6180339887498949, 2.0, -1.618033988749895],
-    [-0.6180339887498949, -1.0, 1.618033988749895, -2.0],
-    [-1.618033988749895, -1.0, 2.0, -0.6180339887498949],
-    [-1.0, -1.0, 2.23606797749979, -1.0],
-    [
-      -0.3819660112501051, -1.618033988749895, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-0.6180339887498949, -2.0, 1.0, -1.618033988749895],
-    [-1.0, -2.23606797749979, 1.0, -1.0],
-    [-1.0, -2.0, 1.618033988749895, -0.6180339887498949],
-    [-0.6180339887498949, -1.618033988749895, 2.0, -1.0],
-    [
-      -1.618033988749895, -1.618033988749895, 1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [-2.23606797749979, 0.0, 1.618033988749895, -0.6180339887498949],
-    [
-      -1.618033988749895, 0.3819660112501051, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-2.0, 0.6180339887498949, 1.618033988749895, -1.0],
-    [-2.618033988749895, 0.0, 1.0, -0.3819660112501051],
-    [
-      -1.618033988749895, -0.3819660112501051, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-2.0, -0.6180339887498949, 1.618033988749895, -1.0],
-    [1.0, -0.6180339887498949, 2.0, -1.618033988749895],
-    [0.6180339887498949, -1.0, 1.618033988749895, -2.0],
-    [1.618033988749895, -1.0, 2.0, -0.6180339887498949],
-    [1.0, -1.0, 2.23606797749979, -1.0],
-    [0.6180339887498949, -2.0, 1.0, -1.618033988749895],
-    [1.0, -2.0, 1.618033988749895, -0.6180339887498949],
-    [1.0, -2.23606797749979, 1.0, -1.0],
-    [0.6180339887498949, -1.618033988749895, 2.0, -1.0],
-    [
-      1.618033988749895, -1.618033988749895, 1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [
-      0.3819660112501051, -1.618033988749895, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [2.23606797749979, 0.0, 1.618033988749895, -0.6180339887498949],
-    [
-      1.618033988749895, 0.3819660112501051, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [2.0, 0.6180339887498949, 1.618033988749895, -1.0],
-    [2.618033988749895, 0.0, 1.0, -0.3819660112501051],
-    [
-      1.618033988749895, -0.3819660112501051, 1.618033988749895,
-      -1.618033988749895,
-    ],
-    [2.0, -0.6180339887498949, 1.618033988749895, -1.0],
-    [-1.0, 0.6180339887498949, -2.0, 1.618033988749895],
-    [-0.6180339887498949, 1.0, -1.618033988749895, 2.0],
-    [-0.6180339887498949, 2.0, -1.0, 1.618033988749895],
-    [
-      -0.3819660112501051, 1.618033988749895, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [-1.0, 2.23606797749979, -1.0, 1.0],
-    [-1.618033988749895, 1.0, -2.0, 0.6180339887498949],
-    [-1.0, 1.0, -2.23606797749979, 1.0],
-    [-0.6180339887498949, 1.618033988749895, -2.0, 1.0],
-    [
-      -1.618033988749895, 1.618033988749895, -1.618033988749895,
-      0.3819660112501051,
-    ],
-    [-1.0, 2.0, -1.618033988749895, 0.6180339887498949],
-    [-1.618033988749895, 2.23606797749979, 0.0, 0.6180339887498949],
-    [-1.618033988749895, 2.0, 0.6180339887498949, 1.0],
-    [-2.0, 1.618033988749895, 1.0, 0.6180339887498949],
-    [-2.23606797749979, 1.0, 1.0, 1.0],
-    [
-      -2.618033988749895, 0.6180339887498949, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-1.618033988749895, 2.0, -0.6180339887498949, 1.0],
-    [-2.0, 1.618033988749895, -1.0, 0.6180339887498949],
-    [-0.6180339887498949, 1.618033988749895, 0.0, 2.23606797749979],
-    [
-      -0.6180339887498949, 0.6180339887498949, 0.6180339887498949,
-      2.618033988749895,
-    ],
-    [
-      -0.6180339887498949, 0.6180339887498949, -0.6180339887498949,
-      2.618033988749895,
-    ],
-    [-1.0, 1.0, 1.0, 2.23606797749979],
-    [-1.0, 1.618033988749895, 0.6180339887498949, 2.0],
-    [-1.618033988749895, 0.6180339887498949, 1.0, 2.0],
-    [-0.3819660112501051, 1.0, 0.0, 2.618033988749895],
-    [-1.0, 1.0, -1.0, 2.23606797749979],
-    [-1.0, 1.618033988749895, -0.6180339887498949, 2.0],
-    [
-      -1.618033988749895, 1.618033988749895, 0.3819660112501051,
-      1.618033988749895,
-    ],
-    [-2.0, 1.0, 0.6180339887498949, 1.618033988749895],
-    [
-      -1.618033988749895, 1.618033988749895, -0.3819660112501051,
-      1.618033988749895,
-    ],
-    [1.0, 0.6180339887498949, -2.0, 1.618033988749895],
-    [0.6180339887498949, 1.0, -1.618033988749895, 2.0],
-    [0.6180339887498949, 2.0, -1.0, 1.618033988749895],
-    [1.0, 2.23606797749979, -1.0, 1.0],
-    [1.618033988749895, 1.0, -2.0, 0.6180339887498949],
-    [1.0, 1.0, -2.23606797749979, 1.0],
-    [0.6180339887498949, 1.618033988749895, -2.0, 1.0],
-    [
-      1.618033988749895, 1.618033988749895, -1.618033988749895,
-      0.3819660112501051,
-    ],
-    [1.0, 2.0, -1.618033988749895, 0.6180339887498949],
-    [
-      0.3819660112501051, 1.618033988749895, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [1.618033988749895, 2.23606797749979, 0.0, 0.6180339887498949],
-    [1.618033988749895, 2.0, 0.6180339887498949, 1.0],
-    [2.0, 1.618033988749895, 1.0, 0.6180339887498949],
-    [2.23606797749979, 1.0, 1.0, 1.0],
-    [
-      2.618033988749895, 0.6180339887498949, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [1.618033988749895, 2.0, -0.6180339887498949, 1.0],
-    [2.0, 1.618033988749895, -1.0, 0.6180339887498949],
-    [0.6180339887498949, 1.618033988749895, 0.0, 2.23606797749979],
-    [
-      0.6180339887498949, 0.6180339887498949, 0.6180339887498949,
-      2.618033988749895,
-    ],
-    [
-      0.6180339887498949, 0.6180339887498949, -0.6180339887498949,
-      2.618033988749895,
-    ],
-    [1.0, 1.0, 1.0, 2.23606797749979],
-    [1.0, 1.618033988749895, 0.6180339887498949, 2.0],
-    [1.618033988749895, 0.6180339887498949, 1.0, 2.0],
-    [0.3819660112501051, 1.0, 0.0, 2.618033988749895],
-    [1.0, 1.0, -1.0, 2.23606797749979],
-    [1.0, 1.618033988749895, -0.6180339887498949, 2.0],
-    [
-      1.618033988749895, 1.618033988749895, 0.3819660112501051,
-      1.618033988749895,
-    ],
-    [2.0, 1.0, 0.6180339887498949, 1.618033988749895],
-    [
-      1.618033988749895, 1.618033988749895, -0.3819660112501051,
-      1.618033988749895,
-    ],
-    [-1.0, 0.6180339887498949, -2.0, -1.618033988749895],
-    [-0.6180339887498949, 1.0, -1.618033988749895, -2.0],
-    [-1.618033988749895, 1.0, -2.0, -0.6180339887498949],
-    [-1.0, 1.0, -2.23606797749979, -1.0],
-    [
-      -0.3819660112501051, 1.618033988749895, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-0.6180339887498949, 2.0, -1.0, -1.618033988749895],
-    [-1.0, 2.23606797749979, -1.0, -1.0],
-    [-1.0, 2.0, -1.618033988749895, -0.6180339887498949],
-    [-0.6180339887498949, 1.618033988749895, -2.0, -1.0],
-    [
-      -1.618033988749895, 1.618033988749895, -1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [-1.618033988749895, 2.23606797749979, 0.0, -0.6180339887498949],
-    [-1.618033988749895, 2.0, 0.6180339887498949, -1.0],
-    [-2.0, 1.618033988749895, 1.0, -0.6180339887498949],
-    [-2.23606797749979, 1.0, 1.0, -1.0],
-    [
-      -2.618033988749895, 0.6180339887498949, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-2.0, 2.0, 0.0, 0.0],
-    [-2.23606797749979, 1.618033988749895, 0.6180339887498949, 0.0],
-    [-2.618033988749895, 1.0, 0.3819660112501051, 0.0],
-    [-2.23606797749979, 1.618033988749895, -0.6180339887498949, 0.0],
-    [-2.618033988749895, 1.0, -0.3819660112501051, 0.0],
-    [-1.618033988749895, 2.0, -0.6180339887498949, -1.0],
-    [-2.0, 1.618033988749895, -1.0, -0.6180339887498949],
-    [-0.6180339887498949, 1.618033988749895, 0.0, -2.23606797749979],
-    [
-      -0.6180339887498949, 0.6180339887498949, 0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [
-      -0.6180339887498949, 0.6180339887498949, -0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [-1.0, 1.0, 1.0, -2.23606797749979],
-    [-1.0, 1.618033988749895, 0.6180339887498949, -2.0],
-    [-1.618033988749895, 0.6180339887498949, 1.0, -2.0],
-    [-0.3819660112501051, 1.0, 0.0, -2.618033988749895],
-    [-1.0, 1.0, -1.0, -2.23606797749979],
-    [-1.0, 1.618033988749895, -0.6180339887498949, -2.0],
-    [
-      -1.618033988749895, 1.618033988749895, 0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [-2.0, 1.0, 0.6180339887498949, -1.618033988749895],
-    [
-      -1.618033988749895, 1.618033988749895, -0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [1.0, 0.6180339887498949, -2.0, -1.618033988749895],
-    [0.6180339887498949, 1.0, -1.618033988749895, -2.0],
-    [1.618033988749895, 1.0, -2.0, -0.6180339887498949],
-    [1.0, 1.0, -2.23606797749979, -1.0],
-    [0.6180339887498949, 2.0, -1.0, -1.618033988749895],
-    [1.0, 2.23606797749979, -1.0, -1.0],
-    [1.0, 2.0, -1.618033988749895, -0.6180339887498949],
-    [0.6180339887498949, 1.618033988749895, -2.0, -1.0],
-    [
-      1.618033988749895, 1.618033988749895, -1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [
-      0.3819660112501051, 1.618033988749895, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [1.618033988749895, 2.23606797749979, 0.0, -0.6180339887498949],
-    [1.618033988749895, 2.0, 0.6180339887498949, -1.0],
-    [2.0, 1.618033988749895, 1.0, -0.6180339887498949],
-    [2.23606797749979, 1.0, 1.0, -1.0],
-    [
-      2.618033988749895, 0.6180339887498949, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [2.0, 2.0, 0.0, 0.0],
-    [2.23606797749979, 1.618033988749895, 0.6180339887498949, 0.0],
-    [2.618033988749895, 1.0, 0.3819660112501051, 0.0],
-    [2.23606797749979, 1.618033988749895, -0.6180339887498949, 0.0],
-    [2.618033988749895, 1.0, -0.3819660112501051, 0.0],
-    [1.618033988749895, 2.0, -0.6180339887498949, -1.0],
-    [2.0, 1.618033988749895, -1.0, -0.6180339887498949],
-    [0.6180339887498949, 1.618033988749895, 0.0, -2.23606797749979],
-    [
-      0.6180339887498949, 0.6180339887498949, 0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [
-      0.6180339887498949, 0.6180339887498949, -0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [1.0, 1.0, 1.0, -2.23606797749979],
-    [1.0, 1.618033988749895, 0.6180339887498949, -2.0],
-    [1.618033988749895, 0.6180339887498949, 1.0, -2.0],
-    [0.3819660112501051, 1.0, 0.0, -2.618033988749895],
-    [1.0, 1.0, -1.0, -2.23606797749979],
-    [1.0, 1.618033988749895, -0.6180339887498949, -2.0],
-    [
-      1.618033988749895, 1.618033988749895, 0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [2.0, 1.0, 0.6180339887498949, -1.618033988749895],
-    [
-      1.618033988749895, 1.618033988749895, -0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [-1.0, -0.6180339887498949, -2.0, 1.618033988749895],
-    [-0.6180339887498949, -1.0, -1.618033988749895, 2.0],
-    [-0.6180339887498949, -2.0, -1.0, 1.618033988749895],
-    [
-      -0.3819660112501051, -1.618033988749895, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [-1.0, -2.23606797749979, -1.0, 1.0],
-    [-1.618033988749895, -1.0, -2.0, 0.6180339887498949],
-    [-1.0, -1.0, -2.23606797749979, 1.0],
-    [-0.6180339887498949, -1.618033988749895, -2.0, 1.0],
-    [
-      -1.618033988749895, -1.618033988749895, -1.618033988749895,
-      0.3819660112501051,
-    ],
-    [-1.0, -2.0, -1.618033988749895, 0.6180339887498949],
-    [-1.618033988749895, -2.23606797749979, 0.0, 0.6180339887498949],
-    [-1.618033988749895, -2.0, 0.6180339887498949, 1.0],
-    [-2.0, -1.618033988749895, 1.0, 0.6180339887498949],
-    [
-      -2.618033988749895, -0.6180339887498949, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-2.23606797749979, -1.0, 1.0, 1.0],
-    [-1.618033988749895, -2.0, -0.6180339887498949, 1.0],
-    [-2.0, -1.618033988749895, -1.0, 0.6180339887498949],
-    [-0.6180339887498949, -1.618033988749895, 0.0, 2.23606797749979],
-    [
-      -0.6180339887498949, -0.6180339887498949, 0.6180339887498949,
-      2.618033988749895,
-    ],
-    [
-      -0.6180339887498949, -0.6180339887498949, -0.6180339887498949,
-      2.618033988749895,
-    ],
-    [-1.0, -1.0, 1.0, 2.23606797749979],
-    [-1.0, -1.618033988749895, 0.6180339887498949, 2.0],
-    [-1.618033988749895, -0.6180339887498949, 1.0, 2.0],
-    [-1.0, 0.0, 0.3819660112501051, 2.618033988749895],
-    [-1.0, 0.0, -0.3819660112501051, 2.618033988749895],
-    [-1.618033988749895, 0.0, 0.6180339887498949, 2.23606797749979],
-    [-0.3819660112501051, -1.0, 0.0, 2.618033988749895],
-    [-1.0, -1.0, -1.0, 2.23606797749979],
-    [-1.0, -1.618033988749895, -0.6180339887498949, 2.0],
-    [
-      -1.618033988749895, -1.618033988749895, 0.3819660112501051,
-      1.618033988749895,
-    ],
-    [-2.0, -1.0, 0.6180339887498949, 1.618033988749895],
-    [
-      -1.618033988749895, -1.618033988749895, -0.3819660112501051,
-      1.618033988749895,
-    ],
-    [-2.23606797749979, 0.0, -1.618033988749895, 0.6180339887498949],
-    [
-      -1.618033988749895, 0.3819660112501051, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [-2.0, 0.6180339887498949, -1.618033988749895, 1.0],
-    [-2.618033988749895, 0.3819660112501051, 0.0, 1.0],
-    [-2.23606797749979, 1.0, -1.0, 1.0],
-    [-1.618033988749895, 0.6180339887498949, -1.0, 2.0],
-    [-2.23606797749979, 0.6180339887498949, 0.0, 1.618033988749895],
-    [-2.0, 1.0, -0.6180339887498949, 1.618033988749895],
-    [
-      -2.618033988749895, 0.6180339887498949, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-2.618033988749895, 0.0, -1.0, 0.3819660112501051],
-    [
-      -1.618033988749895, -0.3819660112501051, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [-2.0, -0.6180339887498949, -1.618033988749895, 1.0],
-    [
-      -2.618033988749895, -0.6180339887498949, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [-2.618033988749895, -0.3819660112501051, 0.0, 1.0],
-    [-2.23606797749979, -1.0, -1.0, 1.0],
-    [-1.618033988749895, 0.0, -0.6180339887498949, 2.23606797749979],
-    [-2.0, 0.0, 0.0, 2.0],
-    [-1.618033988749895, -0.6180339887498949, -1.0, 2.0],
-    [-2.23606797749979, -0.6180339887498949, 0.0, 1.618033988749895],
-    [-2.0, -1.0, -0.6180339887498949, 1.618033988749895],
-    [1.0, -0.6180339887498949, -2.0, 1.618033988749895],
-    [0.6180339887498949, -1.0, -1.618033988749895, 2.0],
-    [0.6180339887498949, -2.0, -1.0, 1.618033988749895],
-    [1.0, -2.23606797749979, -1.0, 1.0],
-    [1.618033988749895, -1.0, -2.0, 0.6180339887498949],
-    [1.0, -1.0, -2.23606797749979, 1.0],
-    [0.6180339887498949, -1.618033988749895, -2.0, 1.0],
-    [
-      1.618033988749895, -1.618033988749895, -1.618033988749895,
-      0.3819660112501051,
-    ],
-    [1.0, -2.0, -1.618033988749895, 0.6180339887498949],
-    [
-      0.3819660112501051, -1.618033988749895, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [1.618033988749895, -2.23606797749979, 0.0, 0.6180339887498949],
-    [1.618033988749895, -2.0, 0.6180339887498949, 1.0],
-    [2.0, -1.618033988749895, 1.0, 0.6180339887498949],
-    [
-      2.618033988749895, -0.6180339887498949, 0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [2.23606797749979, -1.0, 1.0, 1.0],
-    [1.618033988749895, -2.0, -0.6180339887498949, 1.0],
-    [2.0, -1.618033988749895, -1.0, 0.6180339887498949],
-    [0.6180339887498949, -1.618033988749895, 0.0, 2.23606797749979],
-    [
-      0.6180339887498949, -0.6180339887498949, 0.6180339887498949,
-      2.618033988749895,
-    ],
-    [
-      0.6180339887498949, -0.6180339887498949, -0.6180339887498949,
-      2.618033988749895,
-    ],
-    [1.0, -1.0, 1.0, 2.23606797749979],
-    [1.0, -1.618033988749895, 0.6180339887498949, 2.0],
-    [1.618033988749895, -0.6180339887498949, 1.0, 2.0],
-    [1.0, 0.0, 0.3819660112501051, 2.618033988749895],
-    [1.0, 0.0, -0.3819660112501051, 2.618033988749895],
-    [1.618033988749895, 0.0, 0.6180339887498949, 2.23606797749979],
-    [0.3819660112501051, -1.0, 0.0, 2.618033988749895],
-    [1.0, -1.0, -1.0, 2.23606797749979],
-    [1.0, -1.618033988749895, -0.6180339887498949, 2.0],
-    [
-      1.618033988749895, -1.618033988749895, 0.3819660112501051,
-      1.618033988749895,
-    ],
-    [2.0, -1.0, 0.6180339887498949, 1.618033988749895],
-    [
-      1.618033988749895, -1.618033988749895, -0.3819660112501051,
-      1.618033988749895,
-    ],
-    [2.23606797749979, 0.0, -1.618033988749895, 0.6180339887498949],
-    [
-      1.618033988749895, 0.3819660112501051, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [2.0, 0.6180339887498949, -1.618033988749895, 1.0],
-    [2.618033988749895, 0.3819660112501051, 0.0, 1.0],
-    [2.23606797749979, 1.0, -1.0, 1.0],
-    [1.618033988749895, 0.6180339887498949, -1.0, 2.0],
-    [2.23606797749979, 0.6180339887498949, 0.0, 1.618033988749895],
-    [2.0, 1.0, -0.6180339887498949, 1.618033988749895],
-    [
-      2.618033988749895, 0.6180339887498949, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [2.618033988749895, 0.0, -1.0, 0.3819660112501051],
-    [
-      1.618033988749895, -0.3819660112501051, -1.618033988749895,
-      1.618033988749895,
-    ],
-    [2.0, -0.6180339887498949, -1.618033988749895, 1.0],
-    [
-      2.618033988749895, -0.6180339887498949, -0.6180339887498949,
-      0.6180339887498949,
-    ],
-    [2.618033988749895, -0.3819660112501051, 0.0, 1.0],
-    [2.23606797749979, -1.0, -1.0, 1.0],
-    [1.618033988749895, 0.0, -0.6180339887498949, 2.23606797749979],
-    [2.0, 0.0, 0.0, 2.0],
-    [1.618033988749895, -0.6180339887498949, -1.0, 2.0],
-    [2.23606797749979, -0.6180339887498949, 0.0, 1.618033988749895],
-    [2.0, -1.0, -0.6180339887498949, 1.618033988749895],
-    [-1.0, -0.6180339887498949, -2.0, -1.618033988749895],
-    [-0.6180339887498949, -1.0, -1.618033988749895, -2.0],
-    [-1.618033988749895, -1.0, -2.0, -0.6180339887498949],
-    [-1.0, -1.0, -2.23606797749979, -1.0],
-    [
-      -0.3819660112501051, -1.618033988749895, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-0.6180339887498949, -2.0, -1.0, -1.618033988749895],
-    [-1.0, -2.23606797749979, -1.0, -1.0],
-    [-1.0, -2.0, -1.618033988749895, -0.6180339887498949],
-    [-0.6180339887498949, -1.618033988749895, -2.0, -1.0],
-    [
-      -1.618033988749895, -1.618033988749895, -1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [-1.618033988749895, -2.23606797749979, 0.0, -0.6180339887498949],
-    [-1.618033988749895, -2.0, 0.6180339887498949, -1.0],
-    [-2.0, -1.618033988749895, 1.0, -0.6180339887498949],
-    [
-      -2.618033988749895, -0.6180339887498949, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-2.23606797749979, -1.0, 1.0, -1.0],
-    [-2.0, -2.0, 0.0, 0.0],
-    [-2.23606797749979, -1.618033988749895, 0.6180339887498949, 0.0],
-    [-2.618033988749895, -1.0, 0.3819660112501051, 0.0],
-    [-2.23606797749979, -1.618033988749895, -0.6180339887498949, 0.0],
-    [-2.618033988749895, -1.0, -0.3819660112501051, 0.0],
-    [-1.618033988749895, -2.0, -0.6180339887498949, -1.0],
-    [-2.0, -1.618033988749895, -1.0, -0.6180339887498949],
-    [-0.6180339887498949, -1.618033988749895, 0.0, -2.23606797749979],
-    [
-      -0.6180339887498949, -0.6180339887498949, 0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [
-      -0.6180339887498949, -0.6180339887498949, -0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [-1.0, -1.0, 1.0, -2.23606797749979],
-    [-1.0, -1.618033988749895, 0.6180339887498949, -2.0],
-    [-1.618033988749895, -0.6180339887498949, 1.0, -2.0],
-    [-1.0, 0.0, 0.3819660112501051, -2.618033988749895],
-    [-1.0, 0.0, -0.3819660112501051, -2.618033988749895],
-    [-1.618033988749895, 0.0, 0.6180339887498949, -2.23606797749979],
-    [-0.3819660112501051, -1.0, 0.0, -2.618033988749895],
-    [-1.0, -1.0, -1.0, -2.23606797749979],
-    [-1.0, -1.618033988749895, -0.6180339887498949, -2.0],
-    [
-      -1.618033988749895, -1.618033988749895, 0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [-2.0, -1.0, 0.6180339887498949, -1.618033988749895],
-    [
-      -1.618033988749895, -1.618033988749895, -0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [-2.23606797749979, 0.0, -1.618033988749895, -0.6180339887498949],
-    [
-      -1.618033988749895, 0.3819660112501051, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-2.0, 0.6180339887498949, -1.618033988749895, -1.0],
-    [-2.618033988749895, 0.3819660112501051, 0.0, -1.0],
-    [
-      -2.618033988749895, 0.6180339887498949, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-2.23606797749979, 1.0, -1.0, -1.0],
-    [-1.618033988749895, 0.6180339887498949, -1.0, -2.0],
-    [-2.23606797749979, 0.6180339887498949, 0.0, -1.618033988749895],
-    [-2.0, 1.0, -0.6180339887498949, -1.618033988749895],
-    [-2.618033988749895, 0.0, -1.0, -0.3819660112501051],
-    [
-      -1.618033988749895, -0.3819660112501051, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [-2.0, -0.6180339887498949, -1.618033988749895, -1.0],
-    [-2.618033988749895, -0.3819660112501051, 0.0, -1.0],
-    [
-      -2.618033988749895, -0.6180339887498949, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [-2.23606797749979, -1.0, -1.0, -1.0],
-    [-1.618033988749895, 0.0, -0.6180339887498949, -2.23606797749979],
-    [-2.0, 0.0, 0.0, -2.0],
-    [-1.618033988749895, -0.6180339887498949, -1.0, -2.0],
-    [-2.23606797749979, -0.6180339887498949, 0.0, -1.618033988749895],
-    [-2.0, -1.0, -0.6180339887498949, -1.618033988749895],
-    [1.0, -0.6180339887498949, -2.0, -1.618033988749895],
-    [0.6180339887498949, -1.0, -1.618033988749895, -2.0],
-    [1.618033988749895, -1.0, -2.0, -0.6180339887498949],
-    [1.0, -1.0, -2.23606797749979, -1.0],
-    [0.6180339887498949, -2.0, -1.0, -1.618033988749895],
-    [1.0, -2.23606797749979, -1.0, -1.0],
-    [1.0, -2.0, -1.618033988749895, -0.6180339887498949],
-    [0.6180339887498949, -1.618033988749895, -2.0, -1.0],
-    [
-      1.618033988749895, -1.618033988749895, -1.618033988749895,
-      -0.3819660112501051,
-    ],
-    [
-      0.3819660112501051, -1.618033988749895, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [1.618033988749895, -2.23606797749979, 0.0, -0.6180339887498949],
-    [1.618033988749895, -2.0, 0.6180339887498949, -1.0],
-    [2.0, -1.618033988749895, 1.0, -0.6180339887498949],
-    [
-      2.618033988749895, -0.6180339887498949, 0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [2.23606797749979, -1.0, 1.0, -1.0],
-    [2.0, -2.0, 0.0, 0.0],
-    [2.23606797749979, -1.618033988749895, 0.6180339887498949, 0.0],
-    [2.618033988749895, -1.0, 0.3819660112501051, 0.0],
-    [2.23606797749979, -1.618033988749895, -0.6180339887498949, 0.0],
-    [2.618033988749895, -1.0, -0.3819660112501051, 0.0],
-    [1.618033988749895, -2.0, -0.6180339887498949, -1.0],
-    [2.0, -1.618033988749895, -1.0, -0.6180339887498949],
-    [0.6180339887498949, -1.618033988749895, 0.0, -2.23606797749979],
-    [
-      0.6180339887498949, -0.6180339887498949, 0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [
-      0.6180339887498949, -0.6180339887498949, -0.6180339887498949,
-      -2.618033988749895,
-    ],
-    [1.0, -1.0, 1.0, -2.23606797749979],
-    [1.0, -1.618033988749895, 0.6180339887498949, -2.0],
-    [1.618033988749895, -0.6180339887498949, 1.0, -2.0],
-    [1.0, 0.0, 0.3819660112501051, -2.618033988749895],
-    [1.0, 0.0, -0.3819660112501051, -2.618033988749895],
-    [1.618033988749895, 0.0, 0.6180339887498949, -2.23606797749979],
-    [0.3819660112501051, -1.0, 0.0, -2.618033988749895],
-    [1.0, -1.0, -1.0, -2.23606797749979],
-    [1.0, -1.618033988749895, -0.6180339887498949, -2.0],
-    [
-      1.618033988749895, -1.618033988749895, 0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [2.0, -1.0, 0.6180339887498949, -1.618033988749895],
-    [
-      1.618033988749895, -1.618033988749895, -0.3819660112501051,
-      -1.618033988749895,
-    ],
-    [2.23606797749979, 0.0, -1.618033988749895, -0.6180339887498949],
-    [
-      1.618033988749895, 0.3819660112501051, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [2.0, 0.6180339887498949, -1.618033988749895, -1.0],
-    [2.618033988749895, 0.3819660112501051, 0.0, -1.0],
-    [
-      2.618033988749895, 0.6180339887498949, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [2.23606797749979, 1.0, -1.0, -1.0],
-    [1.618033988749895, 0.6180339887498949, -1.0, -2.0],
-    [2.23606797749979, 0.6180339887498949, 0.0, -1.618033988749895],
-    [2.0, 1.0, -0.6180339887498949, -1.618033988749895],
-    [2.618033988749895, 0.0, -1.0, -0.3819660112501051],
-    [
-      1.618033988749895, -0.3819660112501051, -1.618033988749895,
-      -1.618033988749895,
-    ],
-    [2.0, -0.6180339887498949, -1.618033988749895, -1.0],
-    [2.618033988749895, -0.3819660112501051, 0.0, -1.0],
-    [
-      2.618033988749895, -0.6180339887498949, -0.6180339887498949,
-      -0.6180339887498949,
-    ],
-    [2.23606797749979, -1.0, -1.0, -1.0],
-    [1.618033988749895, 0.0, -0.6180339887498949, -2.23606797749979],
-    [2.0, 0.0, 0.0, -2.0],
-    [1.618033988749895, -0.6180339887498949, -1.0, -2.0],
-    [2.23606797749979, -0.6180339887498949, 0.0, -1.618033988749895],
-    [2.0, -1.0, -0.6180339887498949, -1.618033988749895],
-  ],
-  faces: [
-    [595, 596, 598, 599, 597],
-    [592, 593, 594, 599, 598],
-    [590, 591, 594, 599, 597],
-    [583, 587, 596, 598, 592],
-    [581, 586, 595, 597, 590],
-    [586, 588, 587, 596, 595],
-    [580, 589, 593, 594, 591],
-    [583, 584, 589, 593, 592],
-    [580, 582, 581, 590, 591],
-    [580, 582, 585, 584, 589],
-    [583, 584, 585, 588, 587],
-    [581, 582, 585, 588, 586],
-    [577, 578, 598, 599, 579],
-    [575, 576, 579, 599, 597],
-    [570, 573, 596, 598, 578],
-    [567, 572, 595, 597, 575],
-    [571, 572, 595, 596, 573],
-    [565, 569, 577, 579, 576],
-    [568, 569, 577, 578, 570],
-    [565, 574, 567, 575, 576],
-    [566, 571, 572, 567, 574],
-    [565, 569, 568, 566, 574],
-    [566, 568, 570, 573, 571],
-    [563, 564, 594, 599, 579],
-    [556, 557, 578, 598, 592],
-    [561, 562, 593, 594, 564],
-    [556, 560, 562, 593, 592],
-    [553, 554, 577, 579, 563],
-    [554, 555, 557, 578, 577],
-    [553, 558, 561, 564, 563],
-    [558, 559, 560, 562, 561],
-    [555, 557, 556, 560, 559],
-    [553, 554, 555, 559, 558],
-    [543, 544, 575, 597, 590],
-    [545, 551, 564, 594, 591],
-    [543, 546, 545, 591, 590],
-    [547, 548, 563, 579, 576],
-    [544, 552, 547, 576, 575],
-    [548, 549, 551, 564, 563],
-    [547, 548, 549, 550, 552],
-    [543, 544, 552, 550, 546],
-    [545, 546, 550, 549, 551],
-    [538, 539, 541, 542, 540],
-    [535, 536, 537, 542, 541],
-    [533, 534, 537, 542, 540],
-    [526, 530, 539, 541, 535],
-    [524, 529, 538, 540, 533],
-    [529, 531, 530, 539, 538],
-    [523, 532, 536, 537, 534],
-    [526, 527, 532, 536, 535],
-    [523, 525, 524, 533, 534],
-    [523, 525, 528, 527, 532],
-    [526, 527, 528, 531, 530],
-    [524, 525, 528, 531, 529],
-    [520, 521, 541, 542, 522],
-    [518, 519, 522, 542, 540],
-    [513, 516, 539, 541, 521],
-    [510, 515, 538, 540, 518],
-    [514, 515, 538, 539, 516],
-    [508, 512, 520, 522, 519],
-    [511, 512, 520, 521, 513],
-    [508, 517, 510, 518, 519],
-    [509, 514, 515, 510, 517],
-    [508, 512, 511, 509, 517],
-    [509, 511, 513, 516, 514],
-    [506, 507, 537, 542, 522],
-    [499, 500, 521, 541, 535],
-    [504, 505, 536, 537, 507],
-    [499, 503, 505, 536, 535],
-    [496, 497, 520, 522, 506],
-    [497, 498, 500, 521, 520],
-    [496, 501, 504, 507, 506],
-    [501, 502, 503, 505, 504],
-    [498, 500, 499, 503, 502],
-    [496, 497, 498, 502, 501],
-    [486, 487, 518, 540, 533],
-    [488, 495, 507, 537, 534],
-    [486, 489, 488, 534, 533],
-    [491, 492, 506, 522, 519],
-    [487, 490, 491, 519, 518],
-    [492, 493, 495, 507, 506],
-    [488, 489, 494, 493, 495],
-    [490, 491, 492, 493, 494],
-    [486, 487, 490, 494, 489],
-    [481, 482, 484, 485, 483],
-    [478, 479, 484, 485, 480],
-    [476, 477, 480, 485, 483],
-    [469, 472, 482, 484, 479],
-    [467, 471, 481, 483, 476],
-    [471, 473, 472, 482, 481],
-    [466, 475, 478, 480, 477],
-    [469, 474, 475, 478, 479],
-    [466, 468, 467, 476, 477],
-    [466, 468, 470, 474, 475],
-    [469, 472, 473, 470, 474],
-    [467, 468, 470, 473, 471],
-    [463, 464, 484, 485, 465],
-    [461, 462, 465, 485, 483],
-    [456, 459, 482, 484, 464],
-    [453, 458, 481, 483, 461],
-    [457, 458, 481, 482, 459],
-    [451, 455, 463, 465, 462],
-    [454, 455, 463, 464, 456],
-    [451, 460, 453, 461, 462],
-    [452, 457, 458, 453, 460],
-    [451, 455, 454, 452, 460],
-    [452, 454, 456, 459, 457],
-    [450, 480, 478, 562, 561],
-    [447, 479, 478, 562, 560],
-    [444, 449, 450, 561, 558],
-    [446, 448, 447, 560, 559],
-    [444, 445, 446, 559, 558],
-    [449, 450, 480, 485, 465],
-    [447, 448, 464, 484, 479],
-    [444, 445, 463, 465, 449],
-    [445, 446, 448, 464, 463],
-    [434, 435, 461, 483, 476],
-    [438, 441, 450, 480, 477],
-    [434, 439, 438, 477, 476],
-    [436, 437, 449, 465, 462],
-    [435, 443, 436, 462, 461],
-    [437, 442, 441, 450, 449],
-    [436, 437, 442, 440, 443],
-    [434, 435, 443, 440, 439],
-    [438, 439, 440, 442, 441],
-    [429, 430, 432, 433, 431],
-    [426, 427, 432, 433, 428],
-    [424, 425, 428, 433, 431],
-    [417, 420, 430, 432, 427],
-    [415, 419, 429, 431, 424],
-    [419, 421, 420, 430, 429],
-    [414, 423, 426, 428, 425],
-    [417, 422, 423, 426, 427],
-    [414, 416, 415, 424, 425],
-    [414, 416, 418, 422, 423],
-    [417, 420, 421, 418, 422],
-    [415, 416, 418, 421, 419],
-    [411, 412, 432, 433, 413],
-    [409, 410, 413, 433, 431],
-    [404, 407, 430, 432, 412],
-    [401, 406, 429, 431, 409],
-    [405, 406, 429, 430, 407],
-    [399, 403, 411, 413, 410],
-    [402, 403, 411, 412, 404],
-    [399, 408, 401, 409, 410],
-    [400, 405, 406, 401, 408],
-    [399, 403, 402, 400, 408],
-    [400, 402, 404, 407, 405],
-    [398, 428, 426, 505, 504],
-    [395, 427, 426, 505, 503],
-    [392, 397, 398, 504, 501],
-    [394, 396, 395, 503, 502],
-    [392, 393, 394, 502, 501],
-    [397, 398, 428, 433, 413],
-    [395, 396, 412, 432, 427],
-    [392, 393, 411, 413, 397],
-    [393, 394, 396, 412, 411],
-    [382, 383, 409, 431, 424],
-    [387, 390, 398, 428, 425],
-    [382, 388, 387, 425, 424],
-    [384, 386, 397, 413, 410],
-    [383, 385, 384, 410, 409],
-    [386, 391, 390, 398, 397],
-    [387, 388, 389, 391, 390],
-    [384, 385, 389, 391, 386],
-    [382, 383, 385, 389, 388],
-    [375, 380, 587, 596, 573],
-    [372, 377, 586, 595, 572],
-    [379, 380, 587, 588, 381],
-    [377, 378, 381, 588, 586],
-    [371, 373, 375, 573, 571],
-    [371, 376, 372, 572, 571],
-    [370, 374, 379, 381, 378],
-    [373, 374, 379, 380, 375],
-    [370, 376, 372, 377, 378],
-    [370, 374, 373, 371, 376],
-    [368, 369, 585, 588, 381],
-    [361, 362, 583, 587, 380],
-    [366, 367, 584, 585, 369],
-    [362, 365, 367, 584, 583],
-    [358, 359, 379, 381, 368],
-    [359, 360, 361, 380, 379],
-    [358, 363, 366, 369, 368],
-    [363, 364, 365, 367, 366],
-    [360, 361, 362, 365, 364],
-    [358, 359, 360, 364, 363],
-    [348, 349, 377, 586, 581],
-    [350, 356, 369, 585, 582],
-    [348, 351, 350, 582, 581],
-    [352, 353, 368, 381, 378],
-    [349, 357, 352, 378, 377],
-    [353, 354, 356, 369, 368],
-    [352, 353, 354, 355, 357],
-    [348, 349, 357, 355, 351],
-    [350, 351, 355, 354, 356],
-    [341, 346, 530, 539, 516],
-    [338, 343, 529, 538, 515],
-    [345, 346, 530, 531, 347],
-    [343, 344, 347, 531, 529],
-    [337, 339, 341, 516, 514],
-    [337, 342, 338, 515, 514],
-    [336, 340, 345, 347, 344],
-    [339, 340, 345, 346, 341],
-    [336, 342, 338, 343, 344],
-    [336, 340, 339, 337, 342],
-    [334, 335, 528, 531, 347],
-    [327, 328, 526, 530, 346],
-    [332, 333, 527, 528, 335],
-    [328, 331, 333, 527, 526],
-    [324, 325, 345, 347, 334],
-    [325, 326, 327, 346, 345],
-    [324, 329, 332, 335, 334],
-    [329, 330, 331, 333, 332],
-    [326, 327, 328, 331, 330],
-    [324, 325, 326, 330, 329],
-    [314, 315, 343, 529, 524],
-    [316, 323, 335, 528, 525],
-    [314, 317, 316, 525, 524],
-    [319, 320, 334, 347, 344],
-    [315, 318, 319, 344, 343],
-    [320, 321, 323, 335, 334],
-    [316, 317, 322, 321, 323],
-    [318, 319, 320, 321, 322],
-    [314, 315, 318, 322, 317],
-    [307, 312, 472, 482, 459],
-    [304, 309, 471, 481, 458],
-    [311, 312, 472, 473, 313],
-    [309, 310, 313, 473, 471],
-    [303, 305, 307, 459, 457],
-    [303, 308, 304, 458, 457],
-    [302, 306, 311, 313, 310],
-    [305, 306, 311, 312, 307],
-    [302, 308, 304, 309, 310],
-    [302, 306, 305, 303, 308],
-    [301, 366, 367, 474, 470],
-    [299, 365, 367, 474, 469],
-    [300, 301, 470, 473, 313],
-    [298, 299, 469, 472, 312],
-    [295, 300, 301, 366, 363],
-    [297, 298, 299, 365, 364],
-    [295, 296, 297, 364, 363],
-    [295, 296, 311, 313, 300],
-    [296, 297, 298, 312, 311],
-    [285, 286, 309, 471, 467],
-    [289, 292, 301, 470, 468],
-    [285, 290, 289, 468, 467],
-    [287, 288, 300, 313, 310],
-    [286, 294, 287, 310, 309],
-    [288, 293, 292, 301, 300],
-    [287, 288, 293, 291, 294],
-    [285, 286, 294, 291, 290],
-    [289, 290, 291, 293, 292],
-    [278, 283, 420, 430, 407],
-    [275, 280, 419, 429, 406],
-    [282, 283, 420, 421, 284],
-    [280, 281, 284, 421, 419],
-    [274, 276, 278, 407, 405],
-    [274, 279, 275, 406, 405],
-    [273, 277, 282, 284, 281],
-    [276, 277, 282, 283, 278],
-    [273, 279, 275, 280, 281],
-    [273, 277, 276, 274, 279],
-    [272, 332, 333, 422, 418],
-    [270, 331, 333, 422, 417],
-    [271, 272, 418, 421, 284],
-    [269, 270, 417, 420, 283],
-    [266, 271, 272, 332, 329],
-    [268, 269, 270, 331, 330],
-    [266, 267, 268, 330, 329],
-    [266, 267, 282, 284, 271],
-    [267, 268, 269, 283, 282],
-    [256, 257, 280, 419, 415],
-    [261, 264, 272, 418, 416],
-    [256, 262, 261, 416, 415],
-    [258, 260, 271, 284, 281],
-    [257, 259, 258, 281, 280],
-    [260, 265, 264, 272, 271],
-    [261, 262, 263, 265, 264],
-    [258, 259, 263, 265, 260],
-    [256, 257, 259, 263, 262],
-    [253, 362, 583, 592, 556],
-    [254, 255, 557, 578, 570],
-    [251, 254, 570, 573, 375],
-    [250, 253, 556, 557, 255],
-    [251, 252, 361, 380, 375],
-    [250, 252, 361, 362, 253],
-    [250, 252, 251, 254, 255],
-    [244, 246, 554, 577, 569],
-    [240, 241, 568, 570, 254],
-    [241, 249, 244, 569, 568],
-    [242, 248, 555, 557, 255],
-    [245, 246, 554, 555, 248],
-    [240, 243, 242, 255, 254],
-    [244, 246, 245, 247, 249],
-    [240, 241, 249, 247, 243],
-    [242, 243, 247, 245, 248],
-    [237, 328, 526, 535, 499],
-    [238, 239, 500, 521, 513],
-    [235, 238, 513, 516, 341],
-    [234, 237, 499, 500, 239],
-    [235, 236, 327, 346, 341],
-    [234, 236, 327, 328, 237],
-    [234, 236, 235, 238, 239],
-    [229, 230, 497, 520, 512],
-    [224, 225, 511, 513, 238],
-    [225, 228, 229, 512, 511],
-    [226, 233, 498, 500, 239],
-    [230, 231, 233, 498, 497],
-    [224, 227, 226, 239, 238],
-    [226, 227, 232, 231, 233],
-    [228, 229, 230, 231, 232],
-    [224, 225, 228, 232, 227],
-    [221, 299, 469, 479, 447],
-    [222, 223, 448, 464, 456],
-    [219, 222, 456, 459, 307],
-    [218, 221, 447, 448, 223],
-    [219, 220, 298, 312, 307],
-    [218, 220, 298, 299, 221],
-    [218, 220, 219, 222, 223],
-    [210, 211, 445, 463, 455],
-    [208, 209, 454, 456, 222],
-    [209, 217, 210, 455, 454],
-    [212, 215, 446, 448, 223],
-    [211, 216, 215, 446, 445],
-    [208, 213, 212, 223, 222],
-    [210, 211, 216, 214, 217],
-    [208, 209, 217, 214, 213],
-    [212, 213, 214, 216, 215],
-    [205, 270, 417, 427, 395],
-    [206, 207, 396, 412, 404],
-    [203, 206, 404, 407, 278],
-    [202, 205, 395, 396, 207],
-    [203, 204, 269, 283, 278],
-    [202, 204, 269, 270, 205],
-    [202, 204, 203, 206, 207],
-    [194, 196, 393, 411, 403],
-    [192, 193, 402, 404, 206],
-    [193, 195, 194, 403, 402],
-    [197, 200, 394, 396, 207],
-    [196, 201, 200, 394, 393],
-    [192, 198, 197, 207, 206],
-    [197, 198, 199, 201, 200],
-    [194, 195, 199, 201, 196],
-    [192, 193, 195, 199, 198],
-    [186, 188, 359, 379, 374],
-    [182, 183, 373, 375, 251],
-    [183, 191, 186, 374, 373],
-    [184, 190, 360, 361, 252],
-    [187, 188, 359, 360, 190],
-    [182, 185, 184, 252, 251],
-    [186, 188, 187, 189, 191],
-    [182, 183, 191, 189, 185],
-    [184, 185, 189, 187, 190],
-    [177, 178, 325, 345, 340],
-    [172, 173, 339, 341, 235],
-    [173, 176, 177, 340, 339],
-    [174, 181, 326, 327, 236],
-    [178, 179, 181, 326, 325],
-    [172, 175, 174, 236, 235],
-    [174, 175, 180, 179, 181],
-    [176, 177, 178, 179, 180],
-    [172, 173, 176, 180, 175],
-    [164, 165, 296, 311, 306],
-    [162, 163, 305, 307, 219],
-    [163, 171, 164, 306, 305],
-    [166, 169, 297, 298, 220],
-    [165, 170, 169, 297, 296],
-    [162, 167, 166, 220, 219],
-    [164, 165, 170, 168, 171],
-    [162, 163, 171, 168, 167],
-    [166, 167, 168, 170, 169],
-    [154, 156, 267, 282, 277],
-    [152, 153, 276, 278, 203],
-    [153, 155, 154, 277, 276],
-    [157, 160, 268, 269, 204],
-    [156, 161, 160, 268, 267],
-    [152, 158, 157, 204, 203],
-    [157, 158, 159, 161, 160],
-    [154, 155, 159, 161, 156],
-    [152, 153, 155, 159, 158],
-    [151, 322, 318, 357, 355],
-    [142, 319, 318, 357, 352],
-    [145, 150, 151, 355, 354],
-    [143, 144, 353, 354, 145],
-    [142, 146, 144, 353, 352],
-    [149, 150, 151, 322, 321],
-    [147, 148, 320, 321, 149],
-    [142, 146, 148, 320, 319],
-    [143, 145, 150, 149, 147],
-    [143, 144, 146, 148, 147],
-    [149, 265, 264, 323, 321],
-    [135, 261, 264, 323, 316],
-    [137, 140, 151, 322, 317],
-    [135, 141, 137, 317, 316],
-    [138, 150, 149, 265, 263],
-    [136, 139, 138, 263, 262],
-    [135, 141, 136, 262, 261],
-    [138, 139, 140, 151, 150],
-    [136, 139, 140, 137, 141],
-    [264, 272, 332, 335, 323],
-    [134, 148, 320, 334, 324],
-    [133, 134, 324, 329, 266],
-    [132, 133, 266, 271, 260],
-    [132, 147, 149, 265, 260],
-    [132, 133, 134, 148, 147],
-    [131, 494, 490, 552, 550],
-    [122, 491, 490, 552, 547],
-    [125, 130, 131, 550, 549],
-    [123, 124, 548, 549, 125],
-    [122, 126, 124, 548, 547],
-    [129, 130, 131, 494, 493],
-    [127, 128, 492, 493, 129],
-    [122, 126, 128, 492, 491],
-    [123, 125, 130, 129, 127],
-    [123, 124, 126, 128, 127],
-    [129, 391, 390, 495, 493],
-    [115, 387, 390, 495, 488],
-    [117, 120, 131, 494, 489],
-    [115, 121, 117, 489, 488],
-    [118, 130, 129, 391, 389],
-    [116, 119, 118, 389, 388],
-    [115, 121, 116, 388, 387],
-    [118, 119, 120, 131, 130],
-    [116, 119, 120, 117, 121],
-    [390, 398, 504, 507, 495],
-    [114, 128, 492, 506, 496],
-    [113, 114, 496, 501, 392],
-    [112, 113, 392, 397, 386],
-    [112, 127, 129, 391, 386],
-    [112, 113, 114, 128, 127],
-    [111, 180, 176, 191, 189],
-    [102, 177, 176, 191, 186],
-    [104, 110, 111, 189, 187],
-    [103, 104, 187, 188, 105],
-    [102, 106, 105, 188, 186],
-    [109, 110, 111, 180, 179],
-    [107, 108, 109, 179, 178],
-    [102, 106, 107, 178, 177],
-    [103, 104, 110, 109, 108],
-    [103, 105, 106, 107, 108],
-    [109, 161, 160, 181, 179],
-    [95, 157, 160, 181, 174],
-    [97, 100, 111, 180, 175],
-    [95, 101, 97, 175, 174],
-    [98, 110, 109, 161, 159],
-    [96, 99, 98, 159, 158],
-    [95, 101, 96, 158, 157],
-    [98, 99, 100, 111, 110],
-    [96, 99, 100, 97, 101],
-    [160, 181, 326, 330, 268],
-    [107, 134, 324, 325, 178],
-    [94, 133, 266, 267, 156],
-    [94, 108, 109, 161, 156],
-    [94, 108, 107, 134, 133],
-    [93, 232, 228, 249, 247],
-    [84, 229, 228, 249, 244],
-    [86, 92, 93, 247, 245],
-    [85, 86, 245, 246, 87],
-    [84, 88, 87, 246, 244],
-    [91, 92, 93, 232, 231],
-    [89, 90, 91, 231, 230],
-    [84, 88, 89, 230, 229],
-    [85, 86, 92, 91, 90],
-    [85, 87, 88, 89, 90],
-    [91, 201, 200, 233, 231],
-    [77, 197, 200, 233, 226],
-    [79, 82, 93, 232, 227],
-    [77, 83, 79, 227, 226],
-    [80, 92, 91, 201, 199],
-    [78, 81, 80, 199, 198],
-    [77, 83, 78, 198, 197],
-    [80, 81, 82, 93, 92],
-    [78, 81, 82, 79, 83],
-    [200, 233, 498, 502, 394],
-    [89, 114, 496, 497, 230],
-    [76, 113, 392, 393, 196],
-    [76, 90, 91, 201, 196],
-    [76, 90, 89, 114, 113],
-    [145, 293, 292, 356, 354],
-    [72, 289, 292, 356, 350],
-    [74, 140, 151, 355, 351],
-    [72, 75, 74, 351, 350],
-    [138, 150, 145, 293, 291],
-    [73, 139, 138, 291, 290],
-    [72, 75, 73, 290, 289],
-    [73, 75, 74, 140, 139],
-    [292, 301, 366, 369, 356],
-    [71, 144, 353, 368, 358],
-    [70, 71, 358, 363, 295],
-    [69, 70, 295, 300, 288],
-    [69, 143, 145, 293, 288],
-    [69, 70, 71, 144, 143],
-    [125, 442, 441, 551, 549],
-    [65, 438, 441, 551, 545],
-    [67, 120, 131, 550, 546],
-    [65, 68, 67, 546, 545],
-    [118, 130, 125, 442, 440],
-    [66, 119, 118, 440, 439],
-    [65, 68, 66, 439, 438],
-    [66, 68, 67, 120, 119],
-    [441, 450, 561, 564, 551],
-    [64, 124, 548, 563, 553],
-    [63, 64, 553, 558, 444],
-    [62, 63, 444, 449, 437],
-    [62, 123, 125, 442, 437],
-    [62, 63, 64, 124, 123],
-    [104, 170, 169, 190, 187],
-    [58, 166, 169, 190, 184],
-    [60, 100, 111, 189, 185],
-    [58, 61, 60, 185, 184],
-    [98, 110, 104, 170, 168],
-    [59, 99, 98, 168, 167],
-    [58, 61, 59, 167, 166],
-    [59, 61, 60, 100, 99],
-    [169, 190, 360, 364, 297],
-    [71, 105, 188, 359, 358],
-    [57, 70, 295, 296, 165],
-    [57, 103, 104, 170, 165],
-    [57, 70, 71, 105, 103],
-    [86, 216, 215, 248, 245],
-    [53, 212, 215, 248, 242],
-    [55, 82, 93, 247, 243],
-    [53, 56, 55, 243, 242],
-    [80, 92, 86, 216, 214],
-    [54, 81, 80, 214, 213],
-    [53, 56, 54, 213, 212],
-    [54, 56, 55, 82, 81],
-    [215, 248, 555, 559, 446],
-    [64, 87, 246, 554, 553],
-    [52, 63, 444, 445, 211],
-    [52, 85, 86, 216, 211],
-    [52, 63, 64, 87, 85],
-    [138, 263, 259, 294, 291],
-    [50, 258, 259, 294, 287],
-    [50, 51, 69, 288, 287],
-    [50, 51, 132, 260, 258],
-    [51, 69, 143, 147, 132],
-    [118, 389, 385, 443, 440],
-    [48, 384, 385, 443, 436],
-    [48, 49, 62, 437, 436],
-    [48, 49, 112, 386, 384],
-    [49, 62, 123, 127, 112],
-    [98, 159, 155, 171, 168],
-    [46, 154, 155, 171, 164],
-    [46, 47, 57, 165, 164],
-    [46, 47, 94, 156, 154],
-    [47, 57, 103, 108, 94],
-    [80, 199, 195, 217, 214],
-    [44, 194, 195, 217, 210],
-    [44, 45, 52, 211, 210],
-    [44, 45, 76, 196, 194],
-    [45, 52, 85, 90, 76],
-    [38, 256, 415, 424, 382],
-    [40, 42, 401, 409, 383],
-    [41, 42, 401, 406, 275],
-    [38, 43, 40, 383, 382],
-    [39, 41, 275, 280, 257],
-    [38, 43, 39, 257, 256],
-    [39, 41, 42, 40, 43],
-    [32, 314, 524, 533, 486],
-    [34, 36, 510, 518, 487],
-    [35, 36, 510, 515, 338],
-    [32, 37, 34, 487, 486],
-    [33, 35, 338, 343, 315],
-    [32, 37, 33, 315, 314],
-    [33, 35, 36, 34, 37],
-    [31, 285, 467, 476, 434],
-    [40, 42, 453, 461, 435],
-    [41, 42, 453, 458, 304],
-    [31, 43, 40, 435, 434],
-    [39, 41, 304, 309, 286],
-    [31, 43, 39, 286, 285],
-    [30, 348, 581, 590, 543],
-    [34, 36, 567, 575, 544],
-    [35, 36, 567, 572, 372],
-    [30, 37, 34, 544, 543],
-    [33, 35, 372, 377, 349],
-    [30, 37, 33, 349, 348],
-    [25, 26, 400, 405, 274],
-    [26, 28, 193, 402, 400],
-    [25, 27, 153, 276, 274],
-    [24, 152, 203, 206, 192],
-    [24, 29, 28, 193, 192],
-    [24, 29, 27, 153, 152],
-    [25, 26, 28, 29, 27],
-    [19, 20, 509, 514, 337],
-    [20, 22, 225, 511, 509],
-    [19, 21, 173, 339, 337],
-    [18, 172, 235, 238, 224],
-    [18, 23, 22, 225, 224],
-    [18, 23, 21, 173, 172],
-    [19, 20, 22, 23, 21],
-    [25, 26, 452, 457, 303],
-    [26, 28, 209, 454, 452],
-    [25, 27, 163, 305, 303],
-    [17, 162, 219, 222, 208],
-    [17, 29, 28, 209, 208],
-    [17, 29, 27, 163, 162],
-    [19, 20, 566, 571, 371],
-    [20, 22, 241, 568, 566],
-    [19, 21, 183, 373, 371],
-    [16, 182, 251, 254, 240],
-    [16, 23, 22, 241, 240],
-    [16, 23, 21, 183, 182],
-    [22, 225, 228, 249, 241],
-    [15, 16, 240, 243, 55],
-    [14, 18, 224, 227, 79],
-    [14, 15, 55, 82, 79],
-    [14, 15, 16, 23, 18],
-    [34, 487, 490, 552, 544],
-    [13, 30, 543, 546, 67],
-    [12, 32, 486, 489, 117],
-    [12, 13, 67, 120, 117],
-    [12, 13, 30, 37, 32],
-    [21, 173, 176, 191, 183],
-    [15, 16, 182, 185, 60],
-    [14, 18, 172, 175, 97],
-    [14, 15, 60, 100, 97],
-    [33, 315, 318, 357, 349],
-    [13, 30, 348, 351, 74],
-    [12, 32, 314, 317, 137],
-    [12, 13, 74, 140, 137],
-    [28, 193, 195, 217, 209],
-    [11, 17, 208, 213, 54],
-    [10, 24, 192, 198, 78],
-    [10, 11, 54, 81, 78],
-    [10, 11, 17, 29, 24],
-    [40, 383, 385, 443, 435],
-    [9, 31, 434, 439, 66],
-    [8, 38, 382, 388, 116],
-    [8, 9, 66, 119, 116],
-    [8, 9, 31, 43, 38],
-    [27, 153, 155, 171, 163],
-    [11, 17, 162, 167, 59],
-    [10, 24, 152, 158, 96],
-    [10, 11, 59, 99, 96],
-    [39, 257, 259, 294, 286],
-    [9, 31, 285, 290, 73],
-    [8, 38, 256, 262, 136],
-    [8, 9, 73, 139, 136],
-    [475, 478, 562, 593, 589],
-    [7, 65, 545, 591, 580],
-    [7, 466, 475, 589, 580],
-    [7, 65, 438, 477, 466],
-    [7, 72, 350, 582, 580],
-    [13, 67, 68, 75, 74],
-    [7, 65, 68, 75, 72],
-    [423, 426, 505, 536, 532],
-    [6, 115, 488, 534, 523],
-    [6, 414, 423, 532, 523],
-    [6, 115, 387, 425, 414],
-    [6, 135, 316, 525, 523],
-    [12, 117, 121, 141, 137],
-    [6, 115, 121, 141, 135],
-    [221, 253, 556, 560, 447],
-    [5, 53, 242, 255, 250],
-    [5, 218, 221, 253, 250],
-    [5, 53, 212, 223, 218],
-    [5, 58, 184, 252, 250],
-    [15, 55, 56, 61, 60],
-    [5, 53, 56, 61, 58],
-    [205, 237, 499, 503, 395],
-    [4, 77, 226, 239, 234],
-    [4, 202, 205, 237, 234],
-    [4, 77, 197, 207, 202],
-    [4, 95, 174, 236, 234],
-    [14, 79, 83, 101, 97],
-    [4, 77, 83, 101, 95],
-    [7, 72, 289, 468, 466],
-    [9, 66, 68, 75, 73],
-    [6, 135, 261, 416, 414],
-    [8, 116, 121, 141, 136],
-    [5, 58, 166, 220, 218],
-    [11, 54, 56, 61, 59],
-    [4, 95, 157, 204, 202],
-    [10, 78, 83, 101, 96],
-    [367, 474, 475, 589, 584],
-    [333, 422, 423, 532, 527],
-    [221, 253, 362, 365, 299],
-    [205, 237, 328, 331, 270],
-    [3, 48, 436, 462, 451],
-    [42, 401, 408, 460, 453],
-    [3, 399, 408, 460, 451],
-    [3, 48, 384, 410, 399],
-    [3, 44, 194, 403, 399],
-    [45, 49, 112, 113, 76],
-    [3, 44, 45, 49, 48],
-    [2, 122, 547, 576, 565],
-    [36, 510, 517, 574, 567],
-    [2, 508, 517, 574, 565],
-    [2, 122, 491, 519, 508],
-    [2, 84, 229, 512, 508],
-    [88, 89, 114, 128, 126],
-    [2, 84, 88, 126, 122],
-    [1, 50, 287, 310, 302],
-    [41, 275, 279, 308, 304],
-    [1, 273, 279, 308, 302],
-    [1, 50, 258, 281, 273],
-    [1, 46, 154, 277, 273],
-    [47, 51, 132, 133, 94],
-    [1, 46, 47, 51, 50],
-    [0, 142, 352, 378, 370],
-    [35, 338, 342, 376, 372],
-    [0, 336, 342, 376, 370],
-    [0, 142, 319, 344, 336],
-    [0, 102, 177, 340, 336],
-    [106, 107, 134, 148, 146],
-    [0, 102, 106, 146, 142],
-    [3, 44, 210, 455, 451],
-    [45, 49, 62, 63, 52],
-    [2, 84, 244, 569, 565],
-    [64, 87, 88, 126, 124],
-    [1, 46, 164, 306, 302],
-    [47, 51, 69, 70, 57],
-    [0, 102, 186, 374, 370],
-    [71, 105, 106, 146, 144],
-    [26, 400, 408, 460, 452],
-    [20, 509, 517, 574, 566],
-    [25, 274, 279, 308, 303],
-    [19, 337, 342, 376, 371],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
-    [0, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22],
-    [1, 12, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32],
-    [2, 13, 23, 33, 34, 35, 36, 37, 38, 39, 40, 41],
-    [42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53],
-    [42, 54, 55, 56, 57, 58, 59, 60, 61, 62, 63, 64],
-    [43, 54, 65, 66, 67, 68, 69, 70, 71, 72, 73, 74],
-    [44, 55, 65, 75, 76, 77, 78, 79, 80, 81, 82, 83],
-    [84, 85, 86, 87, 88, 89, 90, 91, 92, 93, 94, 95],
-    [84, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    [30, 107, 108, 109, 110, 111, 85, 96, 112, 113, 114, 115],
-    [86, 97, 112, 116, 117, 118, 119, 120, 121, 122, 123, 124],
-    [125, 126, 127, 128, 129, 130, 131, 132, 133, 134, 135, 136],
-    [125, 137, 138, 139, 140, 141, 142, 143, 144, 145, 146, 147],
-    [72, 148, 149, 150, 151, 152, 126, 137, 153, 154, 155, 156],
-    [127, 138, 153, 157, 158, 159, 160, 161, 162, 163, 164, 165],
-    [5, 16, 166, 167, 168, 169, 170, 171, 172, 173, 174, 175],
-    [10, 168, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185],
-    [11, 169, 176, 186, 187, 188, 189, 190, 191, 192, 193, 194],
-    [47, 58, 195, 196, 197, 198, 199, 200, 201, 202, 203, 204],
-    [52, 197, 205, 206, 207, 208, 209, 210, 211, 212, 213, 214],
-    [53, 198, 205, 215, 216, 217, 218, 219, 220, 221, 222, 223],
-    [89, 100, 224, 225, 226, 227, 228, 229, 230, 231, 232, 233],
-    [94, 234, 235, 226, 236, 237, 183, 238, 239, 240, 241, 242],
-    [95, 227, 236, 243, 244, 245, 246, 247, 248, 249, 250, 251],
-    [130, 141, 252, 253, 254, 255, 256, 257, 258, 259, 260, 261],
-    [135, 262, 263, 254, 264, 265, 212, 266, 267, 268, 269, 270],
-    [136, 255, 264, 271, 272, 273, 274, 275, 276, 277, 278, 279],
-    [3, 14, 24, 166, 280, 177, 281, 282, 283, 284, 285, 286],
-    [18, 28, 281, 287, 288, 289, 290, 291, 292, 293, 294, 295],
-    [45, 56, 66, 195, 296, 206, 297, 298, 299, 300, 301, 302],
-    [60, 70, 297, 303, 304, 305, 306, 307, 308, 309, 310, 311],
-    [87, 98, 113, 224, 312, 237, 313, 314, 315, 316, 317, 318],
-    [102, 115, 313, 319, 320, 321, 322, 323, 324, 325, 326, 327],
-    [128, 139, 154, 252, 328, 265, 329, 330, 331, 332, 333, 334],
-    [143, 156, 329, 335, 336, 337, 338, 339, 340, 341, 342, 343],
-    [173, 181, 284, 344, 345, 346, 347, 348, 349, 350, 351, 352],
-    [202, 210, 300, 353, 354, 355, 356, 357, 358, 359, 360, 361],
-    [231, 242, 316, 362, 363, 364, 365, 366, 367, 368, 369, 370],
-    [259, 270, 332, 371, 372, 373, 374, 375, 376, 377, 378, 379],
-    [192, 380, 381, 382, 383, 384, 222, 385, 386, 387, 388, 389],
-    [221, 390, 391, 385, 392, 393, 277, 394, 395, 396, 397, 398],
-    [211, 220, 399, 400, 266, 401, 390, 386, 276, 402, 403, 404],
-    [39, 405, 406, 407, 408, 409, 82, 410, 411, 412, 413, 414],
-    [81, 415, 416, 410, 417, 418, 163, 419, 420, 421, 422, 423],
-    [71, 80, 424, 425, 150, 426, 415, 411, 162, 427, 428, 429],
-    [350, 430, 431, 432, 433, 434, 360, 435, 436, 437, 438, 439],
-    [359, 440, 441, 435, 442, 443, 377, 444, 445, 446, 447, 448],
-    [214, 268, 449, 401, 357, 450, 375, 451, 440, 436, 452, 453],
-    [293, 454, 455, 456, 457, 458, 310, 459, 460, 461, 462, 463],
-    [309, 464, 465, 459, 466, 467, 341, 468, 469, 470, 471, 472],
-    [74, 152, 473, 426, 307, 474, 339, 475, 464, 460, 476, 477],
-    [194, 478, 479, 382, 480, 481, 251, 482, 483, 484, 397, 485],
-    [182, 191, 486, 487, 238, 488, 478, 383, 248, 489, 490, 491],
-    [41, 492, 493, 407, 494, 495, 124, 496, 497, 498, 422, 499],
-    [29, 38, 500, 501, 109, 502, 492, 408, 121, 503, 504, 505],
-    [352, 506, 507, 432, 508, 509, 370, 510, 511, 512, 447, 513],
-    [185, 240, 514, 488, 348, 515, 366, 516, 506, 433, 517, 518],
-    [295, 519, 520, 456, 521, 522, 327, 523, 524, 525, 471, 526],
-    [32, 111, 527, 502, 291, 528, 323, 529, 519, 457, 530, 531],
-    [249, 532, 533, 482, 490, 534, 278, 394, 403, 535, 388, 536],
-    [122, 537, 538, 496, 504, 539, 164, 419, 428, 540, 413, 541],
-    [368, 542, 543, 510, 517, 544, 378, 444, 452, 545, 438, 546],
-    [325, 547, 548, 523, 530, 549, 342, 468, 476, 550, 462, 551],
-    [129, 140, 157, 253, 552, 271, 553, 554, 555, 556, 557, 558],
-    [46, 57, 75, 196, 559, 215, 560, 561, 562, 563, 564, 565],
-    [88, 99, 116, 225, 566, 243, 567, 568, 569, 570, 571, 558],
-    [4, 15, 33, 167, 572, 186, 573, 574, 575, 576, 577, 565],
-    [147, 256, 330, 578, 336, 579, 372, 580, 581, 582, 583, 584],
-    [64, 199, 298, 585, 304, 586, 354, 587, 588, 589, 590, 591],
-    [106, 228, 314, 592, 320, 593, 363, 594, 595, 596, 597, 584],
-    [22, 170, 282, 598, 288, 599, 345, 600, 601, 602, 603, 591],
-    [294, 454, 604, 521, 605, 602, 311, 466, 606, 589, 607, 608],
-    [40, 405, 609, 494, 610, 575, 83, 417, 611, 562, 612, 613],
-    [351, 430, 614, 508, 615, 603, 361, 442, 616, 590, 617, 608],
-    [193, 380, 618, 480, 619, 577, 223, 392, 620, 564, 621, 613],
-    [326, 547, 622, 524, 623, 596, 343, 469, 624, 582, 625, 626],
-    [123, 537, 627, 497, 628, 569, 165, 420, 629, 555, 630, 631],
-    [369, 542, 632, 511, 633, 597, 379, 445, 634, 583, 635, 626],
-    [250, 532, 636, 483, 637, 571, 279, 395, 638, 557, 639, 631],
-    [6, 25, 34, 640, 641, 642, 500, 107, 493, 90, 117, 643],
-    [8, 35, 641, 572, 188, 644, 495, 610, 481, 619, 645, 646],
-    [48, 67, 76, 647, 648, 649, 424, 148, 416, 131, 158, 650],
-    [50, 77, 648, 559, 217, 651, 418, 611, 393, 620, 652, 653],
-    [31, 110, 654, 527, 283, 290, 315, 322, 655, 656, 520, 657],
-    [286, 292, 655, 601, 349, 658, 522, 605, 509, 615, 659, 660],
-    [73, 151, 661, 473, 299, 306, 331, 338, 662, 663, 465, 664],
-    [302, 308, 662, 588, 358, 665, 467, 606, 443, 616, 666, 667],
-    [92, 118, 643, 566, 245, 668, 498, 628, 484, 637, 669, 646],
-    [133, 159, 650, 552, 273, 670, 421, 629, 396, 638, 671, 653],
-    [318, 324, 657, 595, 367, 672, 525, 623, 512, 633, 673, 660],
-    [334, 340, 664, 581, 376, 674, 470, 624, 446, 634, 675, 667],
-    [9, 676, 642, 178, 187, 644, 93, 234, 244, 668, 486, 479],
-    [51, 677, 649, 207, 216, 651, 134, 262, 272, 670, 399, 391],
-    [184, 239, 678, 514, 285, 347, 317, 365, 656, 658, 672, 507],
-    [213, 267, 679, 449, 301, 356, 333, 374, 663, 665, 674, 441],
-    [103, 120, 680, 567, 681, 682, 538, 627, 144, 161, 683, 553],
-    [142, 155, 160, 335, 683, 684, 427, 475, 540, 550, 685, 686],
-    [19, 37, 687, 573, 688, 689, 406, 609, 61, 79, 690, 560],
-    [59, 69, 78, 303, 690, 691, 425, 474, 412, 461, 692, 693],
-    [232, 247, 694, 570, 695, 696, 533, 636, 260, 275, 697, 556],
-    [258, 269, 274, 371, 697, 698, 402, 451, 535, 545, 699, 700],
-    [174, 190, 701, 576, 702, 703, 381, 618, 203, 219, 704, 563],
-    [201, 209, 218, 353, 704, 705, 400, 450, 387, 437, 706, 707],
-    [101, 114, 119, 319, 680, 708, 503, 529, 539, 549, 709, 686],
-    [17, 27, 36, 287, 687, 710, 501, 528, 409, 458, 711, 693],
-    [230, 241, 246, 362, 694, 712, 489, 516, 534, 544, 713, 700],
-    [172, 180, 189, 344, 701, 714, 487, 515, 384, 434, 715, 707],
-    [105, 716, 682, 321, 708, 593, 146, 337, 684, 579, 548, 622],
-    [21, 717, 689, 289, 710, 599, 63, 305, 691, 586, 455, 604],
-    [233, 718, 696, 364, 712, 594, 261, 373, 698, 580, 543, 632],
-    [175, 719, 703, 346, 714, 600, 204, 355, 705, 587, 431, 614],
-    [7, 26, 640, 280, 676, 179, 108, 654, 91, 312, 235, 678],
-    [49, 68, 647, 296, 677, 208, 149, 661, 132, 328, 263, 679],
-    [389, 404, 706, 536, 715, 491, 453, 699, 439, 546, 518, 713],
-    [414, 429, 692, 541, 711, 505, 477, 685, 463, 551, 531, 709],
-    [104, 681, 716, 229, 568, 592, 145, 257, 554, 578, 695, 718],
-    [20, 688, 717, 171, 574, 598, 62, 200, 561, 585, 702, 719],
-    [448, 666, 675, 513, 617, 635, 472, 526, 607, 625, 659, 673],
-    [398, 652, 671, 485, 621, 639, 423, 499, 612, 630, 645, 669],
-  ],
-}
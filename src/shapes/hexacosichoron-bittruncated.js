@@ -1,19315 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.09781064269257106, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, -0.09781064269257106, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, -0.09781064269257106, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, -0.09781064269257106, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, -0.09781064269257106, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, -0.09781064269257106, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, -0.0729037486611773, -0.07796848555407804,
-      0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, -0.0729037486611773, -0.05155073505223816,
-      -0.05878390155075507,
-    ],
-    [
-      -0.30901699437494745, -0.0729037486611773, -0.025132984550398273,
-      0.07403619691437671,
-    ],
-    [
-      -0.30901699437494745, -0.0729037486611773, 0.0339389013843449,
-      -0.07043561839565712,
-    ],
-    [
-      -0.30901699437494745, -0.0729037486611773, 0.04402958416973315,
-      0.06460975997320609,
-    ],
-    [
-      -0.30901699437494745, -0.0729037486611773, 0.07668371960263642,
-      -0.015252295363621632,
-    ],
-    [
-      -0.30901699437494745, -0.05751044159558409, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, -0.05751044159558409, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      -0.30901699437494745, -0.05751044159558409, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.30901699437494745, -0.047996854629783564, -0.08677440238802467,
-      0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, -0.047996854629783564, -0.06035665188618479,
-      0.07403619691437671,
-    ],
-    [
-      -0.30901699437494745, -0.047996854629783564, -0.0339389013843449,
-      -0.08928849227799834,
-    ],
-    [
-      -0.30901699437494745, -0.047996854629783564, 0.00880591683394663,
-      -0.09511435070044935,
-    ],
-    [
-      -0.30901699437494745, -0.047996854629783564, 0.07796848555407804,
-      0.05518332303203549,
-    ],
-    [
-      -0.30901699437494745, -0.047996854629783564, 0.09429555327052969,
-      0.015252295363621632,
-    ],
-    [
-      -0.30901699437494745, -0.01721024049859713, -0.09765911419899245,
-      -0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, -0.01721024049859713, 0.01424827273943051,
-      0.10454078764161998,
-    ],
-    [
-      -0.30901699437494745, -0.01721024049859713, 0.08341084145956193,
-      -0.06460975997320609,
-    ],
-    [
-      -0.30901699437494745, -0.00769665353279661, -0.10102267512745519,
-      0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, -0.00769665353279661, -0.05827785690916366,
-      0.08928849227799834,
-    ],
-    [
-      -0.30901699437494745, -0.00769665353279661, -0.048187174123775406,
-      -0.09511435070044935,
-    ],
-    [
-      -0.30901699437494745, -0.00769665353279661, 0.020975394596356008,
-      -0.10454078764161998,
-    ],
-    [
-      -0.30901699437494745, -0.00769665353279661, 0.08004728053109919,
-      0.07043561839565712,
-    ],
-    [
-      -0.30901699437494745, -0.00769665353279661, 0.10646503103293906,
-      0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, 0.00769665353279661, -0.10646503103293906,
-      -0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, 0.00769665353279661, -0.08004728053109919,
-      -0.07043561839565712,
-    ],
-    [
-      -0.30901699437494745, 0.00769665353279661, -0.020975394596356008,
-      0.10454078764161998,
-    ],
-    [
-      -0.30901699437494745, 0.00769665353279661, 0.048187174123775406,
-      0.09511435070044935,
-    ],
-    [
-      -0.30901699437494745, 0.00769665353279661, 0.05827785690916366,
-      -0.08928849227799834,
-    ],
-    [
-      -0.30901699437494745, 0.00769665353279661, 0.10102267512745519,
-      -0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, 0.01721024049859713, -0.08341084145956193,
-      0.06460975997320609,
-    ],
-    [
-      -0.30901699437494745, 0.01721024049859713, -0.01424827273943051,
-      -0.10454078764161998,
-    ],
-    [
-      -0.30901699437494745, 0.01721024049859713, 0.09765911419899245,
-      0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, 0.047996854629783564, -0.09429555327052969,
-      -0.015252295363621632,
-    ],
-    [
-      -0.30901699437494745, 0.047996854629783564, -0.07796848555407804,
-      -0.05518332303203549,
-    ],
-    [
-      -0.30901699437494745, 0.047996854629783564, -0.00880591683394663,
-      0.09511435070044935,
-    ],
-    [
-      -0.30901699437494745, 0.047996854629783564, 0.0339389013843449,
-      0.08928849227799834,
-    ],
-    [
-      -0.30901699437494745, 0.047996854629783564, 0.06035665188618479,
-      -0.07403619691437671,
-    ],
-    [
-      -0.30901699437494745, 0.047996854629783564, 0.08677440238802467,
-      -0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, 0.05751044159558409, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      -0.30901699437494745, 0.05751044159558409, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      -0.30901699437494745, 0.05751044159558409, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, 0.0729037486611773, -0.07668371960263642,
-      0.015252295363621632,
-    ],
-    [
-      -0.30901699437494745, 0.0729037486611773, -0.04402958416973315,
-      -0.06460975997320609,
-    ],
-    [
-      -0.30901699437494745, 0.0729037486611773, -0.0339389013843449,
-      0.07043561839565712,
-    ],
-    [
-      -0.30901699437494745, 0.0729037486611773, 0.025132984550398273,
-      -0.07403619691437671,
-    ],
-    [
-      -0.30901699437494745, 0.0729037486611773, 0.05155073505223816,
-      0.05878390155075507,
-    ],
-    [
-      -0.30901699437494745, 0.0729037486611773, 0.07796848555407804,
-      -0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, 0.09781064269257106, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      -0.30901699437494745, 0.09781064269257106, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, 0.09781064269257106, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, 0.09781064269257106, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      -0.30901699437494745, 0.09781064269257106, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      -0.30901699437494745, 0.09781064269257106, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      -0.2956859994078892, -0.13041419025676138, -0.03938125728982878,
-      0.030504590727243264,
-    ],
-    [
-      -0.2956859994078892, -0.13041419025676138, -0.006727121856925497,
-      -0.04935746460958447,
-    ],
-    [
-      -0.2956859994078892, -0.13041419025676138, 0.04610837914675428,
-      0.018852873882341206,
-    ],
-    [
-      -0.2956859994078892, -0.08060040219397391, -0.10982859196140182,
-      0.030504590727243264,
-    ],
-    [
-      -0.2956859994078892, -0.08060040219397391, -0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      -0.2956859994078892, -0.08060040219397391, -0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      -0.2956859994078892, -0.08060040219397391, 0.02849654547886102,
-      -0.11036664606407098,
-    ],
-    [
-      -0.2956859994078892, -0.08060040219397391, 0.0813320464825408,
-      0.07986205533682772,
-    ],
-    [-0.2956859994078892, -0.08060040219397391, 0.11398618191544407, 0.0],
-    [
-      -0.2956859994078892, -0.04981378806278748, -0.12071330377236958,
-      -0.04935746460958447,
-    ],
-    [
-      -0.2956859994078892, -0.04981378806278748, 0.01761183366789326,
-      0.12921951994641218,
-    ],
-    [
-      -0.2956859994078892, -0.04981378806278748, 0.10310147010447632,
-      -0.07986205533682772,
-    ],
-    [-0.2956859994078892, 0.0, -0.1383251374402628, 0.018852873882341206],
-    [-0.2956859994078892, 0.0, -0.08548963643658306, -0.11036664606407098],
-    [-0.2956859994078892, 0.0, -0.05283550100367978, 0.12921951994641218],
-    [-0.2956859994078892, 0.0, 0.05283550100367978, -0.12921951994641218],
-    [-0.2956859994078892, 0.0, 0.08548963643658306, 0.11036664606407098],
-    [-0.2956859994078892, 0.0, 0.1383251374402628, -0.018852873882341206],
-    [
-      -0.2956859994078892, 0.04981378806278748, -0.10310147010447632,
-      0.07986205533682772,
-    ],
-    [
-      -0.2956859994078892, 0.04981378806278748, -0.01761183366789326,
-      -0.12921951994641218,
-    ],
-    [
-      -0.2956859994078892, 0.04981378806278748, 0.12071330377236958,
-      0.04935746460958447,
-    ],
-    [-0.2956859994078892, 0.08060040219397391, -0.11398618191544407, 0.0],
-    [
-      -0.2956859994078892, 0.08060040219397391, -0.0813320464825408,
-      -0.07986205533682772,
-    ],
-    [
-      -0.2956859994078892, 0.08060040219397391, -0.02849654547886102,
-      0.11036664606407098,
-    ],
-    [
-      -0.2956859994078892, 0.08060040219397391, 0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      -0.2956859994078892, 0.08060040219397391, 0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      -0.2956859994078892, 0.08060040219397391, 0.10982859196140182,
-      -0.030504590727243264,
-    ],
-    [
-      -0.2956859994078892, 0.13041419025676138, -0.04610837914675428,
-      -0.018852873882341206,
-    ],
-    [
-      -0.2956859994078892, 0.13041419025676138, 0.006727121856925497,
-      0.04935746460958447,
-    ],
-    [
-      -0.2956859994078892, 0.13041419025676138, 0.03938125728982878,
-      -0.030504590727243264,
-    ],
-    [
-      -0.28235500444083095, -0.16301773782095175, -0.01969062864491439,
-      0.015252295363621632,
-    ],
-    [
-      -0.28235500444083095, -0.16301773782095175, -0.0033635609284627483,
-      -0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, -0.16301773782095175, 0.02305418957337714,
-      0.009426436941170603,
-    ],
-    [
-      -0.28235500444083095, -0.138110843789558, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      -0.28235500444083095, -0.138110843789558, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      -0.28235500444083095, -0.138110843789558, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      -0.28235500444083095, -0.11320394975816428, -0.10646503103293906,
-      0.05518332303203549,
-    ],
-    [
-      -0.28235500444083095, -0.11320394975816428, -0.08004728053109919,
-      0.08928849227799834,
-    ],
-    [
-      -0.28235500444083095, -0.11320394975816428, -0.03730246231280765,
-      -0.11396722458279057,
-    ],
-    [
-      -0.28235500444083095, -0.11320394975816428, 0.00544235590548388,
-      -0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, -0.11320394975816428, 0.10102267512745519,
-      0.06460975997320609,
-    ],
-    [
-      -0.28235500444083095, -0.11320394975816428, 0.11734974284390684,
-      0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, -0.0729037486611773, -0.14713105427420947,
-      0.015252295363621632,
-    ],
-    [
-      -0.28235500444083095, -0.0729037486611773, -0.09429555327052969,
-      -0.11396722458279057,
-    ],
-    [
-      -0.28235500444083095, -0.0729037486611773, -0.05155073505223816,
-      0.1386459568875828,
-    ],
-    [
-      -0.28235500444083095, -0.0729037486611773, 0.06035665188618479,
-      -0.1350453783688632,
-    ],
-    [
-      -0.28235500444083095, -0.0729037486611773, 0.08677440238802467,
-      0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, -0.0729037486611773, 0.14584628832276786,
-      -0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, -0.05751044159558409, -0.15257341017969334,
-      -0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, -0.05751044159558409, -0.12615565967785347,
-      -0.08928849227799834,
-    ],
-    [
-      -0.28235500444083095, -0.05751044159558409, -0.01424827273943051,
-      0.15389825225120446,
-    ],
-    [
-      -0.28235500444083095, -0.05751044159558409, 0.05491429598070091,
-      0.14447181531003384,
-    ],
-    [
-      -0.28235500444083095, -0.05751044159558409, 0.09765911419899245,
-      -0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, -0.05751044159558409, 0.140403932417284,
-      -0.06460975997320609,
-    ],
-    [
-      -0.28235500444083095, -0.032603547564190344, -0.16137932701364,
-      0.009426436941170603,
-    ],
-    [
-      -0.28235500444083095, -0.032603547564190344, -0.10854382600996021,
-      -0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, -0.032603547564190344, -0.04947194007521703,
-      0.15389825225120446,
-    ],
-    [
-      -0.28235500444083095, -0.032603547564190344, 0.07252612964859417,
-      -0.14447181531003384,
-    ],
-    [
-      -0.28235500444083095, -0.032603547564190344, 0.08885319736504582,
-      0.1350453783688632,
-    ],
-    [
-      -0.28235500444083095, -0.032603547564190344, 0.15801576608517726,
-      -0.03410516924596284,
-    ],
-    [
-      -0.28235500444083095, 0.032603547564190344, -0.15801576608517726,
-      0.03410516924596284,
-    ],
-    [
-      -0.28235500444083095, 0.032603547564190344, -0.08885319736504582,
-      -0.1350453783688632,
-    ],
-    [
-      -0.28235500444083095, 0.032603547564190344, -0.07252612964859417,
-      0.14447181531003384,
-    ],
-    [
-      -0.28235500444083095, 0.032603547564190344, 0.04947194007521703,
-      -0.15389825225120446,
-    ],
-    [
-      -0.28235500444083095, 0.032603547564190344, 0.10854382600996021,
-      0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, 0.032603547564190344, 0.16137932701364,
-      -0.009426436941170603,
-    ],
-    [
-      -0.28235500444083095, 0.05751044159558409, -0.140403932417284,
-      0.06460975997320609,
-    ],
-    [
-      -0.28235500444083095, 0.05751044159558409, -0.09765911419899245,
-      0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, 0.05751044159558409, -0.05491429598070091,
-      -0.14447181531003384,
-    ],
-    [
-      -0.28235500444083095, 0.05751044159558409, 0.01424827273943051,
-      -0.15389825225120446,
-    ],
-    [
-      -0.28235500444083095, 0.05751044159558409, 0.12615565967785347,
-      0.08928849227799834,
-    ],
-    [
-      -0.28235500444083095, 0.05751044159558409, 0.15257341017969334,
-      0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, 0.0729037486611773, -0.14584628832276786,
-      0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, 0.0729037486611773, -0.08677440238802467,
-      -0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, 0.0729037486611773, -0.06035665188618479,
-      0.1350453783688632,
-    ],
-    [
-      -0.28235500444083095, 0.0729037486611773, 0.05155073505223816,
-      -0.1386459568875828,
-    ],
-    [
-      -0.28235500444083095, 0.0729037486611773, 0.09429555327052969,
-      0.11396722458279057,
-    ],
-    [
-      -0.28235500444083095, 0.0729037486611773, 0.14713105427420947,
-      -0.015252295363621632,
-    ],
-    [
-      -0.28235500444083095, 0.11320394975816428, -0.11734974284390684,
-      -0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, 0.11320394975816428, -0.10102267512745519,
-      -0.06460975997320609,
-    ],
-    [
-      -0.28235500444083095, 0.11320394975816428, -0.00544235590548388,
-      0.11979308300524161,
-    ],
-    [
-      -0.28235500444083095, 0.11320394975816428, 0.03730246231280765,
-      0.11396722458279057,
-    ],
-    [
-      -0.28235500444083095, 0.11320394975816428, 0.08004728053109919,
-      -0.08928849227799834,
-    ],
-    [
-      -0.28235500444083095, 0.11320394975816428, 0.10646503103293906,
-      -0.05518332303203549,
-    ],
-    [
-      -0.28235500444083095, 0.138110843789558, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      -0.28235500444083095, 0.138110843789558, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      -0.28235500444083095, 0.138110843789558, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.28235500444083095, 0.16301773782095175, -0.02305418957337714,
-      -0.009426436941170603,
-    ],
-    [
-      -0.28235500444083095, 0.16301773782095175, 0.0033635609284627483,
-      0.024678732304792235,
-    ],
-    [
-      -0.28235500444083095, 0.16301773782095175, 0.01969062864491439,
-      -0.015252295363621632,
-    ],
-    [
-      -0.26078500148027695, -0.19086449190224186, -0.03938125728982878,
-      0.030504590727243264,
-    ],
-    [
-      -0.26078500148027695, -0.19086449190224186, -0.006727121856925497,
-      -0.04935746460958447,
-    ],
-    [
-      -0.26078500148027695, -0.19086449190224186, 0.04610837914675428,
-      0.018852873882341206,
-    ],
-    [
-      -0.26078500148027695, -0.17547118483664864, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      -0.26078500148027695, -0.17547118483664864, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      -0.26078500148027695, -0.17547118483664864, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      -0.26078500148027695, -0.12565739677386112, -0.1416886983687256,
-      0.05518332303203549,
-    ],
-    [
-      -0.26078500148027695, -0.12565739677386112, -0.08885319736504582,
-      0.12339366152396117,
-    ],
-    [
-      -0.26078500148027695, -0.12565739677386112, -0.06243544686320592,
-      -0.1386459568875828,
-    ],
-    [
-      -0.26078500148027695, -0.12565739677386112, 0.02305418957337714,
-      -0.15029767373248487,
-    ],
-    [
-      -0.26078500148027695, -0.12565739677386112, 0.11863450879534845,
-      0.09511435070044935,
-    ],
-    [
-      -0.26078500148027695, -0.12565739677386112, 0.15128864422825172,
-      0.015252295363621632,
-    ],
-    [
-      -0.26078500148027695, -0.1007505027424674, -0.16682168291912386,
-      0.030504590727243264,
-    ],
-    [
-      -0.26078500148027695, -0.1007505027424674, -0.09765911419899245,
-      -0.1386459568875828,
-    ],
-    [
-      -0.26078500148027695, -0.1007505027424674, -0.07124136369715256,
-      0.15389825225120446,
-    ],
-    [
-      -0.26078500148027695, -0.1007505027424674, 0.05699309095772204,
-      -0.15972411067365544,
-    ],
-    [
-      -0.26078500148027695, -0.1007505027424674, 0.10982859196140182,
-      0.12921951994641218,
-    ],
-    [
-      -0.26078500148027695, -0.1007505027424674, 0.16890047789614498,
-      -0.015252295363621632,
-    ],
-    [
-      -0.26078500148027695, -0.06996388861128094, -0.17770639473009164,
-      -0.04935746460958447,
-    ],
-    [
-      -0.26078500148027695, -0.06996388861128094, -0.16137932701364,
-      -0.08928849227799834,
-    ],
-    [
-      -0.26078500148027695, -0.06996388861128094, 0.0033635609284627483,
-      0.18440284297844772,
-    ],
-    [
-      -0.26078500148027695, -0.06996388861128094, 0.04610837914675428,
-      0.1785769845559967,
-    ],
-    [
-      -0.26078500148027695, -0.06996388861128094, 0.13159801558333734,
-      -0.12921951994641218,
-    ],
-    [
-      -0.26078500148027695, -0.06996388861128094, 0.15801576608517726,
-      -0.09511435070044935,
-    ],
-    [
-      -0.26078500148027695, -0.020150100548493477, -0.1953182283979849,
-      0.018852873882341206,
-    ],
-    [
-      -0.26078500148027695, -0.020150100548493477, -0.12615565967785347,
-      -0.15029767373248487,
-    ],
-    [
-      -0.26078500148027695, -0.020150100548493477, -0.06708377374311028,
-      0.18440284297844772,
-    ],
-    [
-      -0.26078500148027695, -0.020150100548493477, 0.0813320464825408,
-      -0.1785769845559967,
-    ],
-    [
-      -0.26078500148027695, -0.020150100548493477, 0.11398618191544407,
-      0.15972411067365544,
-    ],
-    [
-      -0.26078500148027695, -0.020150100548493477, 0.19323943342096372,
-      -0.03410516924596284,
-    ],
-    [
-      -0.26078500148027695, 0.020150100548493477, -0.19323943342096372,
-      0.03410516924596284,
-    ],
-    [
-      -0.26078500148027695, 0.020150100548493477, -0.11398618191544407,
-      -0.15972411067365544,
-    ],
-    [
-      -0.26078500148027695, 0.020150100548493477, -0.0813320464825408,
-      0.1785769845559967,
-    ],
-    [
-      -0.26078500148027695, 0.020150100548493477, 0.06708377374311028,
-      -0.18440284297844772,
-    ],
-    [
-      -0.26078500148027695, 0.020150100548493477, 0.12615565967785347,
-      0.15029767373248487,
-    ],
-    [
-      -0.26078500148027695, 0.020150100548493477, 0.1953182283979849,
-      -0.018852873882341206,
-    ],
-    [
-      -0.26078500148027695, 0.06996388861128094, -0.15801576608517726,
-      0.09511435070044935,
-    ],
-    [
-      -0.26078500148027695, 0.06996388861128094, -0.13159801558333734,
-      0.12921951994641218,
-    ],
-    [
-      -0.26078500148027695, 0.06996388861128094, -0.04610837914675428,
-      -0.1785769845559967,
-    ],
-    [
-      -0.26078500148027695, 0.06996388861128094, -0.0033635609284627483,
-      -0.18440284297844772,
-    ],
-    [
-      -0.26078500148027695, 0.06996388861128094, 0.16137932701364,
-      0.08928849227799834,
-    ],
-    [
-      -0.26078500148027695, 0.06996388861128094, 0.17770639473009164,
-      0.04935746460958447,
-    ],
-    [
-      -0.26078500148027695, 0.1007505027424674, -0.16890047789614498,
-      0.015252295363621632,
-    ],
-    [
-      -0.26078500148027695, 0.1007505027424674, -0.10982859196140182,
-      -0.12921951994641218,
-    ],
-    [
-      -0.26078500148027695, 0.1007505027424674, -0.05699309095772204,
-      0.15972411067365544,
-    ],
-    [
-      -0.26078500148027695, 0.1007505027424674, 0.07124136369715256,
-      -0.15389825225120446,
-    ],
-    [
-      -0.26078500148027695, 0.1007505027424674, 0.09765911419899245,
-      0.1386459568875828,
-    ],
-    [
-      -0.26078500148027695, 0.1007505027424674, 0.16682168291912386,
-      -0.030504590727243264,
-    ],
-    [
-      -0.26078500148027695, 0.12565739677386112, -0.15128864422825172,
-      -0.015252295363621632,
-    ],
-    [
-      -0.26078500148027695, 0.12565739677386112, -0.11863450879534845,
-      -0.09511435070044935,
-    ],
-    [
-      -0.26078500148027695, 0.12565739677386112, -0.02305418957337714,
-      0.15029767373248487,
-    ],
-    [
-      -0.26078500148027695, 0.12565739677386112, 0.06243544686320592,
-      0.1386459568875828,
-    ],
-    [
-      -0.26078500148027695, 0.12565739677386112, 0.08885319736504582,
-      -0.12339366152396117,
-    ],
-    [
-      -0.26078500148027695, 0.12565739677386112, 0.1416886983687256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.26078500148027695, 0.17547118483664864, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      -0.26078500148027695, 0.17547118483664864, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      -0.26078500148027695, 0.17547118483664864, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.26078500148027695, 0.19086449190224186, -0.04610837914675428,
-      -0.018852873882341206,
-    ],
-    [
-      -0.26078500148027695, 0.19086449190224186, 0.006727121856925497,
-      0.04935746460958447,
-    ],
-    [
-      -0.26078500148027695, 0.19086449190224186, 0.03938125728982878,
-      -0.030504590727243264,
-    ],
-    [
-      -0.239214998519723, -0.21871124598353192, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, -0.21871124598353192, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, -0.21871124598353192, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, -0.21871124598353192, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, -0.21871124598353192, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, -0.21871124598353192, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, -0.18792463185234548, -0.10646503103293906,
-      0.05518332303203549,
-    ],
-    [
-      -0.239214998519723, -0.18792463185234548, -0.08004728053109919,
-      0.08928849227799834,
-    ],
-    [
-      -0.239214998519723, -0.18792463185234548, -0.03730246231280765,
-      -0.11396722458279057,
-    ],
-    [
-      -0.239214998519723, -0.18792463185234548, 0.00544235590548388,
-      -0.11979308300524161,
-    ],
-    [
-      -0.239214998519723, -0.18792463185234548, 0.10102267512745519,
-      0.06460975997320609,
-    ],
-    [
-      -0.239214998519723, -0.18792463185234548, 0.11734974284390684,
-      0.024678732304792235,
-    ],
-    [
-      -0.239214998519723, -0.16301773782095175, -0.1416886983687256,
-      0.05518332303203549,
-    ],
-    [
-      -0.239214998519723, -0.16301773782095175, -0.08885319736504582,
-      0.12339366152396117,
-    ],
-    [
-      -0.239214998519723, -0.16301773782095175, -0.06243544686320592,
-      -0.1386459568875828,
-    ],
-    [
-      -0.239214998519723, -0.16301773782095175, 0.02305418957337714,
-      -0.15029767373248487,
-    ],
-    [
-      -0.239214998519723, -0.16301773782095175, 0.11863450879534845,
-      0.09511435070044935,
-    ],
-    [
-      -0.239214998519723, -0.16301773782095175, 0.15128864422825172,
-      0.015252295363621632,
-    ],
-    [
-      -0.239214998519723, -0.138110843789558, -0.1504946152026722,
-      0.08928849227799834,
-    ],
-    [
-      -0.239214998519723, -0.138110843789558, -0.12407686470083232,
-      0.12339366152396117,
-    ],
-    [
-      -0.239214998519723, -0.138110843789558, -0.04482361319531267,
-      -0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, -0.138110843789558, -0.0020787949770211325,
-      -0.1749764060372771,
-    ],
-    [
-      -0.239214998519723, -0.138110843789558, 0.15257341017969334,
-      0.08568791375927876,
-    ],
-    [
-      -0.239214998519723, -0.138110843789558, 0.16890047789614498,
-      0.045756886090864896,
-    ],
-    [
-      -0.239214998519723, -0.11320394975816428, -0.1919546674695221,
-      0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, -0.11320394975816428, -0.13288278153477895,
-      -0.1386459568875828,
-    ],
-    [
-      -0.239214998519723, -0.11320394975816428, -0.05362953002925929,
-      0.18440284297844772,
-    ],
-    [
-      -0.239214998519723, -0.11320394975816428, 0.09093199234206695,
-      -0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, -0.11320394975816428, 0.10102267512745519,
-      0.16332468919237503,
-    ],
-    [
-      -0.239214998519723, -0.11320394975816428, 0.18651231156403825,
-      -0.045756886090864896,
-    ],
-    [
-      -0.239214998519723, -0.09781064269257106, -0.19739702337500603,
-      -0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, -0.09781064269257106, -0.16474288794210273,
-      -0.11396722458279057,
-    ],
-    [
-      -0.239214998519723, -0.09781064269257106, -0.01632706771645164,
-      0.19965513834206933,
-    ],
-    [
-      -0.239214998519723, -0.09781064269257106, 0.0691625687201314,
-      0.18800342149716726,
-    ],
-    [
-      -0.239214998519723, -0.09781064269257106, 0.1282344546548746,
-      -0.15389825225120446,
-    ],
-    [
-      -0.239214998519723, -0.09781064269257106, 0.18106995565855438,
-      -0.08568791375927876,
-    ],
-    [
-      -0.239214998519723, -0.08829705572677052, -0.20076058430346877,
-      0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, -0.08829705572677052, -0.11527094786688569,
-      -0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, -0.08829705572677052, -0.08885319736504582,
-      0.18440284297844772,
-    ],
-    [
-      -0.239214998519723, -0.08829705572677052, 0.06579900779166867,
-      -0.1938292799196183,
-    ],
-    [
-      -0.239214998519723, -0.08829705572677052, 0.13496157651180007,
-      0.15389825225120446,
-    ],
-    [
-      -0.239214998519723, -0.08829705572677052, 0.2041241452319315,
-      -0.015252295363621632,
-    ],
-    [
-      -0.239214998519723, -0.05751044159558409, -0.2116452961144365,
-      -0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, -0.05751044159558409, -0.17899116068153326,
-      -0.11979308300524161,
-    ],
-    [
-      -0.239214998519723, -0.05751044159558409, -0.01424827273943051,
-      0.21490743370569096,
-    ],
-    [
-      -0.239214998519723, -0.05751044159558409, 0.07124136369715256,
-      0.20325571686078892,
-    ],
-    [
-      -0.239214998519723, -0.05751044159558409, 0.140403932417284,
-      -0.16332468919237503,
-    ],
-    [
-      -0.239214998519723, -0.05751044159558409, 0.19323943342096372,
-      -0.09511435070044935,
-    ],
-    [
-      -0.239214998519723, -0.047996854629783564, -0.2150088570428993,
-      0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, -0.047996854629783564, -0.1295192206063162,
-      -0.1749764060372771,
-    ],
-    [
-      -0.239214998519723, -0.047996854629783564, -0.08677440238802467,
-      0.19965513834206933,
-    ],
-    [
-      -0.239214998519723, -0.047996854629783564, 0.07796848555407804,
-      -0.20325571686078892,
-    ],
-    [
-      -0.239214998519723, -0.047996854629783564, 0.1370403714888212,
-      0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, -0.047996854629783564, 0.2162936229943409,
-      -0.024678732304792235,
-    ],
-    [
-      -0.239214998519723, -0.032603547564190344, -0.22045121294838316,
-      -0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, -0.032603547564190344, -0.16137932701364,
-      -0.15029767373248487,
-    ],
-    [
-      -0.239214998519723, -0.032603547564190344, -0.04947194007521703,
-      0.21490743370569096,
-    ],
-    [
-      -0.239214998519723, -0.032603547564190344, 0.10518026508149744,
-      0.1938292799196183,
-    ],
-    [
-      -0.239214998519723, -0.032603547564190344, 0.11527094786688569,
-      -0.18800342149716726,
-    ],
-    [
-      -0.239214998519723, -0.032603547564190344, 0.210851267088857,
-      -0.06460975997320609,
-    ],
-    [
-      -0.239214998519723, 0.032603547564190344, -0.210851267088857,
-      0.06460975997320609,
-    ],
-    [
-      -0.239214998519723, 0.032603547564190344, -0.11527094786688569,
-      0.18800342149716726,
-    ],
-    [
-      -0.239214998519723, 0.032603547564190344, -0.10518026508149744,
-      -0.1938292799196183,
-    ],
-    [
-      -0.239214998519723, 0.032603547564190344, 0.04947194007521703,
-      -0.21490743370569096,
-    ],
-    [
-      -0.239214998519723, 0.032603547564190344, 0.16137932701364,
-      0.15029767373248487,
-    ],
-    [
-      -0.239214998519723, 0.032603547564190344, 0.22045121294838316,
-      0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, 0.047996854629783564, -0.2162936229943409,
-      0.024678732304792235,
-    ],
-    [
-      -0.239214998519723, 0.047996854629783564, -0.1370403714888212,
-      -0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, 0.047996854629783564, -0.07796848555407804,
-      0.20325571686078892,
-    ],
-    [
-      -0.239214998519723, 0.047996854629783564, 0.08677440238802467,
-      -0.19965513834206933,
-    ],
-    [
-      -0.239214998519723, 0.047996854629783564, 0.1295192206063162,
-      0.1749764060372771,
-    ],
-    [
-      -0.239214998519723, 0.047996854629783564, 0.2150088570428993,
-      -0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, 0.05751044159558409, -0.19323943342096372,
-      0.09511435070044935,
-    ],
-    [
-      -0.239214998519723, 0.05751044159558409, -0.140403932417284,
-      0.16332468919237503,
-    ],
-    [
-      -0.239214998519723, 0.05751044159558409, -0.07124136369715256,
-      -0.20325571686078892,
-    ],
-    [
-      -0.239214998519723, 0.05751044159558409, 0.01424827273943051,
-      -0.21490743370569096,
-    ],
-    [
-      -0.239214998519723, 0.05751044159558409, 0.17899116068153326,
-      0.11979308300524161,
-    ],
-    [
-      -0.239214998519723, 0.05751044159558409, 0.2116452961144365,
-      0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, 0.08829705572677052, -0.2041241452319315,
-      0.015252295363621632,
-    ],
-    [
-      -0.239214998519723, 0.08829705572677052, -0.13496157651180007,
-      -0.15389825225120446,
-    ],
-    [
-      -0.239214998519723, 0.08829705572677052, -0.06579900779166867,
-      0.1938292799196183,
-    ],
-    [
-      -0.239214998519723, 0.08829705572677052, 0.08885319736504582,
-      -0.18440284297844772,
-    ],
-    [
-      -0.239214998519723, 0.08829705572677052, 0.11527094786688569,
-      0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, 0.08829705572677052, 0.20076058430346877,
-      -0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, 0.09781064269257106, -0.18106995565855438,
-      0.08568791375927876,
-    ],
-    [
-      -0.239214998519723, 0.09781064269257106, -0.1282344546548746,
-      0.15389825225120446,
-    ],
-    [
-      -0.239214998519723, 0.09781064269257106, -0.0691625687201314,
-      -0.18800342149716726,
-    ],
-    [
-      -0.239214998519723, 0.09781064269257106, 0.01632706771645164,
-      -0.19965513834206933,
-    ],
-    [
-      -0.239214998519723, 0.09781064269257106, 0.16474288794210273,
-      0.11396722458279057,
-    ],
-    [
-      -0.239214998519723, 0.09781064269257106, 0.19739702337500603,
-      0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, 0.11320394975816428, -0.18651231156403825,
-      0.045756886090864896,
-    ],
-    [
-      -0.239214998519723, 0.11320394975816428, -0.10102267512745519,
-      -0.16332468919237503,
-    ],
-    [
-      -0.239214998519723, 0.11320394975816428, -0.09093199234206695,
-      0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, 0.11320394975816428, 0.05362953002925929,
-      -0.18440284297844772,
-    ],
-    [
-      -0.239214998519723, 0.11320394975816428, 0.13288278153477895,
-      0.1386459568875828,
-    ],
-    [
-      -0.239214998519723, 0.11320394975816428, 0.1919546674695221,
-      -0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, 0.138110843789558, -0.16890047789614498,
-      -0.045756886090864896,
-    ],
-    [
-      -0.239214998519723, 0.138110843789558, -0.15257341017969334,
-      -0.08568791375927876,
-    ],
-    [
-      -0.239214998519723, 0.138110843789558, 0.0020787949770211325,
-      0.1749764060372771,
-    ],
-    [
-      -0.239214998519723, 0.138110843789558, 0.04482361319531267,
-      0.16915054761482606,
-    ],
-    [
-      -0.239214998519723, 0.138110843789558, 0.12407686470083232,
-      -0.12339366152396117,
-    ],
-    [
-      -0.239214998519723, 0.138110843789558, 0.1504946152026722,
-      -0.08928849227799834,
-    ],
-    [
-      -0.239214998519723, 0.16301773782095175, -0.15128864422825172,
-      -0.015252295363621632,
-    ],
-    [
-      -0.239214998519723, 0.16301773782095175, -0.11863450879534845,
-      -0.09511435070044935,
-    ],
-    [
-      -0.239214998519723, 0.16301773782095175, -0.02305418957337714,
-      0.15029767373248487,
-    ],
-    [
-      -0.239214998519723, 0.16301773782095175, 0.06243544686320592,
-      0.1386459568875828,
-    ],
-    [
-      -0.239214998519723, 0.16301773782095175, 0.08885319736504582,
-      -0.12339366152396117,
-    ],
-    [
-      -0.239214998519723, 0.16301773782095175, 0.1416886983687256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.239214998519723, 0.18792463185234548, -0.11734974284390684,
-      -0.024678732304792235,
-    ],
-    [
-      -0.239214998519723, 0.18792463185234548, -0.10102267512745519,
-      -0.06460975997320609,
-    ],
-    [
-      -0.239214998519723, 0.18792463185234548, -0.00544235590548388,
-      0.11979308300524161,
-    ],
-    [
-      -0.239214998519723, 0.18792463185234548, 0.03730246231280765,
-      0.11396722458279057,
-    ],
-    [
-      -0.239214998519723, 0.18792463185234548, 0.08004728053109919,
-      -0.08928849227799834,
-    ],
-    [
-      -0.239214998519723, 0.18792463185234548, 0.10646503103293906,
-      -0.05518332303203549,
-    ],
-    [
-      -0.239214998519723, 0.21871124598353192, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      -0.239214998519723, 0.21871124598353192, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, 0.21871124598353192, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, 0.21871124598353192, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      -0.239214998519723, 0.21871124598353192, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      -0.239214998519723, 0.21871124598353192, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      -0.217644995559169, -0.23116469299922882, -0.07796848555407804,
-      0.005825858422451027,
-    ],
-    [
-      -0.217644995559169, -0.23116469299922882, -0.05155073505223816,
-      -0.05878390155075507,
-    ],
-    [
-      -0.217644995559169, -0.23116469299922882, -0.025132984550398273,
-      0.07403619691437671,
-    ],
-    [
-      -0.217644995559169, -0.23116469299922882, 0.0339389013843449,
-      -0.07043561839565712,
-    ],
-    [
-      -0.217644995559169, -0.23116469299922882, 0.04402958416973315,
-      0.06460975997320609,
-    ],
-    [
-      -0.217644995559169, -0.23116469299922882, 0.07668371960263642,
-      -0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, -0.2157713859336356, -0.10982859196140182,
-      0.030504590727243264,
-    ],
-    [
-      -0.217644995559169, -0.2157713859336356, -0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, -0.2157713859336356, -0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, -0.2157713859336356, 0.02849654547886102,
-      -0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, -0.2157713859336356, 0.0813320464825408,
-      0.07986205533682772,
-    ],
-    [-0.217644995559169, -0.2157713859336356, 0.11398618191544407, 0.0],
-    [
-      -0.217644995559169, -0.17547118483664864, -0.16682168291912386,
-      0.030504590727243264,
-    ],
-    [
-      -0.217644995559169, -0.17547118483664864, -0.09765911419899245,
-      -0.1386459568875828,
-    ],
-    [
-      -0.217644995559169, -0.17547118483664864, -0.07124136369715256,
-      0.15389825225120446,
-    ],
-    [
-      -0.217644995559169, -0.17547118483664864, 0.05699309095772204,
-      -0.15972411067365544,
-    ],
-    [
-      -0.217644995559169, -0.17547118483664864, 0.10982859196140182,
-      0.12921951994641218,
-    ],
-    [
-      -0.217644995559169, -0.17547118483664864, 0.16890047789614498,
-      -0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, -0.15056429080525485, -0.1919546674695221,
-      0.005825858422451027,
-    ],
-    [
-      -0.217644995559169, -0.15056429080525485, -0.13288278153477895,
-      -0.1386459568875828,
-    ],
-    [
-      -0.217644995559169, -0.15056429080525485, -0.05362953002925929,
-      0.18440284297844772,
-    ],
-    [
-      -0.217644995559169, -0.15056429080525485, 0.09093199234206695,
-      -0.16915054761482606,
-    ],
-    [
-      -0.217644995559169, -0.15056429080525485, 0.10102267512745519,
-      0.16332468919237503,
-    ],
-    [
-      -0.217644995559169, -0.15056429080525485, 0.18651231156403825,
-      -0.045756886090864896,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, -0.20076058430346877,
-      -0.05878390155075507,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, -0.18443351658701712,
-      -0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, -0.18443351658701712,
-      0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, -0.1416886983687256,
-      0.15389825225120446,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, -0.06243544686320592,
-      -0.19965513834206933,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.006727121856925497,
-      -0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.006727121856925497,
-      0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.04947194007521703,
-      0.20325571686078892,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.15128864422825172,
-      -0.14447181531003384,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.17770639473009164,
-      -0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.17770639473009164,
-      0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, -0.12565739677386112, 0.2041241452319315,
-      0.045756886090864896,
-    ],
-    [
-      -0.217644995559169, -0.1007505027424674, -0.20956650113741537,
-      0.07403619691437671,
-    ],
-    [
-      -0.217644995559169, -0.1007505027424674, -0.12407686470083232,
-      0.18440284297844772,
-    ],
-    [
-      -0.217644995559169, -0.1007505027424674, -0.09765911419899245,
-      -0.19965513834206933,
-    ],
-    [
-      -0.217644995559169, -0.1007505027424674, 0.0406660232412704,
-      -0.21850801222441052,
-    ],
-    [
-      -0.217644995559169, -0.1007505027424674, 0.16890047789614498,
-      0.14447181531003384,
-    ],
-    [
-      -0.217644995559169, -0.1007505027424674, 0.22173597889982477,
-      0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, -0.045056994579887225, -0.22925712978232976,
-      -0.07043561839565712,
-    ],
-    [
-      -0.217644995559169, -0.045056994579887225, -0.2129300620658781,
-      -0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, -0.045056994579887225, 0.01088471181096776,
-      0.23958616601048321,
-    ],
-    [
-      -0.217644995559169, -0.045056994579887225, 0.05362953002925929,
-      0.23376030758803218,
-    ],
-    [
-      -0.217644995559169, -0.045056994579887225, 0.17562759975307046,
-      -0.16332468919237503,
-    ],
-    [
-      -0.217644995559169, -0.045056994579887225, 0.20204535025491038,
-      -0.12921951994641218,
-    ],
-    [
-      -0.217644995559169, -0.0355434076140867, -0.23262069071079255,
-      0.06460975997320609,
-    ],
-    [
-      -0.217644995559169, -0.0355434076140867, -0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, -0.0355434076140867, -0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, -0.0355434076140867, 0.06035665188618479,
-      -0.23376030758803218,
-    ],
-    [
-      -0.217644995559169, -0.0355434076140867, 0.17226403882460772,
-      0.16915054761482606,
-    ],
-    [-0.217644995559169, -0.0355434076140867, 0.24142660754473916, 0.0],
-    [
-      -0.217644995559169, -0.0047567934829002585, -0.24350540252176028,
-      -0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, -0.0047567934829002585, -0.18443351658701712,
-      -0.15972411067365544,
-    ],
-    [
-      -0.217644995559169, -0.0047567934829002585, -0.04610837914675428,
-      0.23958616601048321,
-    ],
-    [
-      -0.217644995559169, -0.0047567934829002585, 0.10854382600996021,
-      0.21850801222441052,
-    ],
-    [
-      -0.217644995559169, -0.0047567934829002585, 0.13496157651180007,
-      -0.20325571686078892,
-    ],
-    [
-      -0.217644995559169, -0.0047567934829002585, 0.23054189573377137,
-      -0.07986205533682772,
-    ],
-    [
-      -0.217644995559169, 0.0047567934829002585, -0.23054189573377137,
-      0.07986205533682772,
-    ],
-    [
-      -0.217644995559169, 0.0047567934829002585, -0.13496157651180007,
-      0.20325571686078892,
-    ],
-    [
-      -0.217644995559169, 0.0047567934829002585, -0.10854382600996021,
-      -0.21850801222441052,
-    ],
-    [
-      -0.217644995559169, 0.0047567934829002585, 0.04610837914675428,
-      -0.23958616601048321,
-    ],
-    [
-      -0.217644995559169, 0.0047567934829002585, 0.18443351658701712,
-      0.15972411067365544,
-    ],
-    [
-      -0.217644995559169, 0.0047567934829002585, 0.24350540252176028,
-      0.015252295363621632,
-    ],
-    [-0.217644995559169, 0.0355434076140867, -0.24142660754473916, 0.0],
-    [
-      -0.217644995559169, 0.0355434076140867, -0.17226403882460772,
-      -0.16915054761482606,
-    ],
-    [
-      -0.217644995559169, 0.0355434076140867, -0.06035665188618479,
-      0.23376030758803218,
-    ],
-    [
-      -0.217644995559169, 0.0355434076140867, 0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, 0.0355434076140867, 0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, 0.0355434076140867, 0.23262069071079255,
-      -0.06460975997320609,
-    ],
-    [
-      -0.217644995559169, 0.045056994579887225, -0.20204535025491038,
-      0.12921951994641218,
-    ],
-    [
-      -0.217644995559169, 0.045056994579887225, -0.17562759975307046,
-      0.16332468919237503,
-    ],
-    [
-      -0.217644995559169, 0.045056994579887225, -0.05362953002925929,
-      -0.23376030758803218,
-    ],
-    [
-      -0.217644995559169, 0.045056994579887225, -0.01088471181096776,
-      -0.23958616601048321,
-    ],
-    [
-      -0.217644995559169, 0.045056994579887225, 0.2129300620658781,
-      0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, 0.045056994579887225, 0.22925712978232976,
-      0.07043561839565712,
-    ],
-    [
-      -0.217644995559169, 0.1007505027424674, -0.22173597889982477,
-      -0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, 0.1007505027424674, -0.16890047789614498,
-      -0.14447181531003384,
-    ],
-    [
-      -0.217644995559169, 0.1007505027424674, -0.0406660232412704,
-      0.21850801222441052,
-    ],
-    [
-      -0.217644995559169, 0.1007505027424674, 0.09765911419899245,
-      0.19965513834206933,
-    ],
-    [
-      -0.217644995559169, 0.1007505027424674, 0.12407686470083232,
-      -0.18440284297844772,
-    ],
-    [
-      -0.217644995559169, 0.1007505027424674, 0.20956650113741537,
-      -0.07403619691437671,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.2041241452319315,
-      -0.045756886090864896,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.17770639473009164,
-      -0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.17770639473009164,
-      0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.15128864422825172,
-      0.14447181531003384,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.04947194007521703,
-      -0.20325571686078892,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.006727121856925497,
-      -0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, -0.006727121856925497,
-      0.20908157528323995,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, 0.06243544686320592,
-      0.19965513834206933,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, 0.1416886983687256,
-      -0.15389825225120446,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, 0.18443351658701712,
-      -0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, 0.18443351658701712,
-      0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, 0.12565739677386112, 0.20076058430346877,
-      0.05878390155075507,
-    ],
-    [
-      -0.217644995559169, 0.15056429080525485, -0.18651231156403825,
-      0.045756886090864896,
-    ],
-    [
-      -0.217644995559169, 0.15056429080525485, -0.10102267512745519,
-      -0.16332468919237503,
-    ],
-    [
-      -0.217644995559169, 0.15056429080525485, -0.09093199234206695,
-      0.16915054761482606,
-    ],
-    [
-      -0.217644995559169, 0.15056429080525485, 0.05362953002925929,
-      -0.18440284297844772,
-    ],
-    [
-      -0.217644995559169, 0.15056429080525485, 0.13288278153477895,
-      0.1386459568875828,
-    ],
-    [
-      -0.217644995559169, 0.15056429080525485, 0.1919546674695221,
-      -0.005825858422451027,
-    ],
-    [
-      -0.217644995559169, 0.17547118483664864, -0.16890047789614498,
-      0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, 0.17547118483664864, -0.10982859196140182,
-      -0.12921951994641218,
-    ],
-    [
-      -0.217644995559169, 0.17547118483664864, -0.05699309095772204,
-      0.15972411067365544,
-    ],
-    [
-      -0.217644995559169, 0.17547118483664864, 0.07124136369715256,
-      -0.15389825225120446,
-    ],
-    [
-      -0.217644995559169, 0.17547118483664864, 0.09765911419899245,
-      0.1386459568875828,
-    ],
-    [
-      -0.217644995559169, 0.17547118483664864, 0.16682168291912386,
-      -0.030504590727243264,
-    ],
-    [-0.217644995559169, 0.2157713859336356, -0.11398618191544407, 0.0],
-    [
-      -0.217644995559169, 0.2157713859336356, -0.0813320464825408,
-      -0.07986205533682772,
-    ],
-    [
-      -0.217644995559169, 0.2157713859336356, -0.02849654547886102,
-      0.11036664606407098,
-    ],
-    [
-      -0.217644995559169, 0.2157713859336356, 0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, 0.2157713859336356, 0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      -0.217644995559169, 0.2157713859336356, 0.10982859196140182,
-      -0.030504590727243264,
-    ],
-    [
-      -0.217644995559169, 0.23116469299922882, -0.07668371960263642,
-      0.015252295363621632,
-    ],
-    [
-      -0.217644995559169, 0.23116469299922882, -0.04402958416973315,
-      -0.06460975997320609,
-    ],
-    [
-      -0.217644995559169, 0.23116469299922882, -0.0339389013843449,
-      0.07043561839565712,
-    ],
-    [
-      -0.217644995559169, 0.23116469299922882, 0.025132984550398273,
-      -0.07403619691437671,
-    ],
-    [
-      -0.217644995559169, 0.23116469299922882, 0.05155073505223816,
-      0.05878390155075507,
-    ],
-    [
-      -0.217644995559169, 0.23116469299922882, 0.07796848555407804,
-      -0.005825858422451027,
-    ],
-    [
-      -0.2043140005921108, -0.2388613465320254, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      -0.2043140005921108, -0.2388613465320254, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      -0.2043140005921108, -0.2388613465320254, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.2043140005921108, -0.20807473240083896, -0.14713105427420947,
-      0.015252295363621632,
-    ],
-    [
-      -0.2043140005921108, -0.20807473240083896, -0.09429555327052969,
-      -0.11396722458279057,
-    ],
-    [
-      -0.2043140005921108, -0.20807473240083896, -0.05155073505223816,
-      0.1386459568875828,
-    ],
-    [
-      -0.2043140005921108, -0.20807473240083896, 0.06035665188618479,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2043140005921108, -0.20807473240083896, 0.08677440238802467,
-      0.11979308300524161,
-    ],
-    [
-      -0.2043140005921108, -0.20807473240083896, 0.14584628832276786,
-      -0.024678732304792235,
-    ],
-    [
-      -0.2043140005921108, -0.1582609443380515, -0.19739702337500603,
-      -0.03410516924596284,
-    ],
-    [
-      -0.2043140005921108, -0.1582609443380515, -0.16474288794210273,
-      -0.11396722458279057,
-    ],
-    [
-      -0.2043140005921108, -0.1582609443380515, -0.01632706771645164,
-      0.19965513834206933,
-    ],
-    [
-      -0.2043140005921108, -0.1582609443380515, 0.0691625687201314,
-      0.18800342149716726,
-    ],
-    [
-      -0.2043140005921108, -0.1582609443380515, 0.1282344546548746,
-      -0.15389825225120446,
-    ],
-    [
-      -0.2043140005921108, -0.1582609443380515, 0.18106995565855438,
-      -0.08568791375927876,
-    ],
-    [
-      -0.2043140005921108, -0.11796074324106454, -0.17899116068153326,
-      0.1386459568875828,
-    ],
-    [
-      -0.2043140005921108, -0.11796074324106454, -0.03057534045588215,
-      -0.22433387064686156,
-    ],
-    [
-      -0.2043140005921108, -0.11796074324106454, 0.20956650113741537,
-      0.08568791375927876,
-    ],
-    [
-      -0.2043140005921108, -0.06814695517827704, -0.22925712978232976,
-      0.08928849227799834,
-    ],
-    [
-      -0.2043140005921108, -0.06814695517827704, -0.14376749334574673,
-      0.19965513834206933,
-    ],
-    [
-      -0.2043140005921108, -0.06814695517827704, -0.10102267512745519,
-      -0.22433387064686156,
-    ],
-    [
-      -0.2043140005921108, -0.06814695517827704, 0.03730246231280765,
-      -0.24318674452920275,
-    ],
-    [
-      -0.2043140005921108, -0.06814695517827704, 0.1919546674695221,
-      0.15389825225120446,
-    ],
-    [
-      -0.2043140005921108, -0.06814695517827704, 0.2447901684732019,
-      0.024678732304792235,
-    ],
-    [
-      -0.2043140005921108, -0.01245344701569687, -0.24894775842724415,
-      -0.05518332303203549,
-    ],
-    [
-      -0.2043140005921108, -0.01245344701569687, -0.2162936229943409,
-      -0.1350453783688632,
-    ],
-    [
-      -0.2043140005921108, -0.01245344701569687, -0.00880591683394663,
-      0.2548384613741048,
-    ],
-    [
-      -0.2043140005921108, -0.01245344701569687, 0.07668371960263642,
-      0.24318674452920275,
-    ],
-    [
-      -0.2043140005921108, -0.01245344701569687, 0.17226403882460772,
-      -0.18800342149716726,
-    ],
-    [
-      -0.2043140005921108, -0.01245344701569687, 0.2250995398282875,
-      -0.11979308300524161,
-    ],
-    [
-      -0.2043140005921108, 0.01245344701569687, -0.2250995398282875,
-      0.11979308300524161,
-    ],
-    [
-      -0.2043140005921108, 0.01245344701569687, -0.17226403882460772,
-      0.18800342149716726,
-    ],
-    [
-      -0.2043140005921108, 0.01245344701569687, -0.07668371960263642,
-      -0.24318674452920275,
-    ],
-    [
-      -0.2043140005921108, 0.01245344701569687, 0.00880591683394663,
-      -0.2548384613741048,
-    ],
-    [
-      -0.2043140005921108, 0.01245344701569687, 0.2162936229943409,
-      0.1350453783688632,
-    ],
-    [
-      -0.2043140005921108, 0.01245344701569687, 0.24894775842724415,
-      0.05518332303203549,
-    ],
-    [
-      -0.2043140005921108, 0.06814695517827704, -0.2447901684732019,
-      -0.024678732304792235,
-    ],
-    [
-      -0.2043140005921108, 0.06814695517827704, -0.1919546674695221,
-      -0.15389825225120446,
-    ],
-    [
-      -0.2043140005921108, 0.06814695517827704, -0.03730246231280765,
-      0.24318674452920275,
-    ],
-    [
-      -0.2043140005921108, 0.06814695517827704, 0.10102267512745519,
-      0.22433387064686156,
-    ],
-    [
-      -0.2043140005921108, 0.06814695517827704, 0.14376749334574673,
-      -0.19965513834206933,
-    ],
-    [
-      -0.2043140005921108, 0.06814695517827704, 0.22925712978232976,
-      -0.08928849227799834,
-    ],
-    [
-      -0.2043140005921108, 0.11796074324106454, -0.20956650113741537,
-      -0.08568791375927876,
-    ],
-    [
-      -0.2043140005921108, 0.11796074324106454, 0.03057534045588215,
-      0.22433387064686156,
-    ],
-    [
-      -0.2043140005921108, 0.11796074324106454, 0.17899116068153326,
-      -0.1386459568875828,
-    ],
-    [
-      -0.2043140005921108, 0.1582609443380515, -0.18106995565855438,
-      0.08568791375927876,
-    ],
-    [
-      -0.2043140005921108, 0.1582609443380515, -0.1282344546548746,
-      0.15389825225120446,
-    ],
-    [
-      -0.2043140005921108, 0.1582609443380515, -0.0691625687201314,
-      -0.18800342149716726,
-    ],
-    [
-      -0.2043140005921108, 0.1582609443380515, 0.01632706771645164,
-      -0.19965513834206933,
-    ],
-    [
-      -0.2043140005921108, 0.1582609443380515, 0.16474288794210273,
-      0.11396722458279057,
-    ],
-    [
-      -0.2043140005921108, 0.1582609443380515, 0.19739702337500603,
-      0.03410516924596284,
-    ],
-    [
-      -0.2043140005921108, 0.20807473240083896, -0.14584628832276786,
-      0.024678732304792235,
-    ],
-    [
-      -0.2043140005921108, 0.20807473240083896, -0.08677440238802467,
-      -0.11979308300524161,
-    ],
-    [
-      -0.2043140005921108, 0.20807473240083896, -0.06035665188618479,
-      0.1350453783688632,
-    ],
-    [
-      -0.2043140005921108, 0.20807473240083896, 0.05155073505223816,
-      -0.1386459568875828,
-    ],
-    [
-      -0.2043140005921108, 0.20807473240083896, 0.09429555327052969,
-      0.11396722458279057,
-    ],
-    [
-      -0.2043140005921108, 0.20807473240083896, 0.14713105427420947,
-      -0.015252295363621632,
-    ],
-    [
-      -0.2043140005921108, 0.2388613465320254, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      -0.2043140005921108, 0.2388613465320254, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      -0.2043140005921108, 0.2388613465320254, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      -0.19607499259861505, -0.24361814001492565, -0.08677440238802467,
-      0.03993102766841386,
-    ],
-    [
-      -0.19607499259861505, -0.24361814001492565, -0.06035665188618479,
-      0.07403619691437671,
-    ],
-    [
-      -0.19607499259861505, -0.24361814001492565, -0.0339389013843449,
-      -0.08928849227799834,
-    ],
-    [
-      -0.19607499259861505, -0.24361814001492565, 0.00880591683394663,
-      -0.09511435070044935,
-    ],
-    [
-      -0.19607499259861505, -0.24361814001492565, 0.07796848555407804,
-      0.05518332303203549,
-    ],
-    [
-      -0.19607499259861505, -0.24361814001492565, 0.09429555327052969,
-      0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, -0.16301773782095175, -0.20076058430346877,
-      0.03993102766841386,
-    ],
-    [
-      -0.19607499259861505, -0.16301773782095175, -0.11527094786688569,
-      -0.16915054761482606,
-    ],
-    [
-      -0.19607499259861505, -0.16301773782095175, -0.08885319736504582,
-      0.18440284297844772,
-    ],
-    [
-      -0.19607499259861505, -0.16301773782095175, 0.06579900779166867,
-      -0.1938292799196183,
-    ],
-    [
-      -0.19607499259861505, -0.16301773782095175, 0.13496157651180007,
-      0.15389825225120446,
-    ],
-    [
-      -0.19607499259861505, -0.16301773782095175, 0.2041241452319315,
-      -0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, -0.138110843789558, -0.20956650113741537,
-      0.07403619691437671,
-    ],
-    [
-      -0.19607499259861505, -0.138110843789558, -0.12407686470083232,
-      0.18440284297844772,
-    ],
-    [
-      -0.19607499259861505, -0.138110843789558, -0.09765911419899245,
-      -0.19965513834206933,
-    ],
-    [
-      -0.19607499259861505, -0.138110843789558, 0.0406660232412704,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19607499259861505, -0.138110843789558, 0.16890047789614498,
-      0.14447181531003384,
-    ],
-    [
-      -0.19607499259861505, -0.138110843789558, 0.22173597889982477,
-      0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, -0.11320394975816428, -0.21837241797136203,
-      -0.08928849227799834,
-    ],
-    [
-      -0.19607499259861505, -0.11320394975816428, 0.03186010640732377,
-      0.23376030758803218,
-    ],
-    [
-      -0.19607499259861505, -0.11320394975816428, 0.18651231156403825,
-      -0.14447181531003384,
-    ],
-    [
-      -0.19607499259861505, -0.0729037486611773, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      -0.19607499259861505, -0.0729037486611773, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      -0.19607499259861505, -0.0729037486611773, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      -0.19607499259861505, -0.00769665353279661, -0.2556748802841696,
-      0.05518332303203549,
-    ],
-    [
-      -0.19607499259861505, -0.00769665353279661, -0.14376749334574673,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19607499259861505, -0.00769665353279661, -0.11734974284390684,
-      0.23376030758803218,
-    ],
-    [
-      -0.19607499259861505, -0.00769665353279661, 0.08004728053109919,
-      -0.24901260295165378,
-    ],
-    [
-      -0.19607499259861505, -0.00769665353279661, 0.17562759975307046,
-      0.1938292799196183,
-    ],
-    [
-      -0.19607499259861505, -0.00769665353279661, 0.26111723618965355,
-      -0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, 0.00769665353279661, -0.26111723618965355,
-      0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, 0.00769665353279661, -0.17562759975307046,
-      -0.1938292799196183,
-    ],
-    [
-      -0.19607499259861505, 0.00769665353279661, -0.08004728053109919,
-      0.24901260295165378,
-    ],
-    [
-      -0.19607499259861505, 0.00769665353279661, 0.11734974284390684,
-      -0.23376030758803218,
-    ],
-    [
-      -0.19607499259861505, 0.00769665353279661, 0.14376749334574673,
-      0.21850801222441052,
-    ],
-    [
-      -0.19607499259861505, 0.00769665353279661, 0.2556748802841696,
-      -0.05518332303203549,
-    ],
-    [
-      -0.19607499259861505, 0.0729037486611773, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      -0.19607499259861505, 0.0729037486611773, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      -0.19607499259861505, 0.0729037486611773, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      -0.19607499259861505, 0.11320394975816428, -0.18651231156403825,
-      0.14447181531003384,
-    ],
-    [
-      -0.19607499259861505, 0.11320394975816428, -0.03186010640732377,
-      -0.23376030758803218,
-    ],
-    [
-      -0.19607499259861505, 0.11320394975816428, 0.21837241797136203,
-      0.08928849227799834,
-    ],
-    [
-      -0.19607499259861505, 0.138110843789558, -0.22173597889982477,
-      -0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, 0.138110843789558, -0.16890047789614498,
-      -0.14447181531003384,
-    ],
-    [
-      -0.19607499259861505, 0.138110843789558, -0.0406660232412704,
-      0.21850801222441052,
-    ],
-    [
-      -0.19607499259861505, 0.138110843789558, 0.09765911419899245,
-      0.19965513834206933,
-    ],
-    [
-      -0.19607499259861505, 0.138110843789558, 0.12407686470083232,
-      -0.18440284297844772,
-    ],
-    [
-      -0.19607499259861505, 0.138110843789558, 0.20956650113741537,
-      -0.07403619691437671,
-    ],
-    [
-      -0.19607499259861505, 0.16301773782095175, -0.2041241452319315,
-      0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, 0.16301773782095175, -0.13496157651180007,
-      -0.15389825225120446,
-    ],
-    [
-      -0.19607499259861505, 0.16301773782095175, -0.06579900779166867,
-      0.1938292799196183,
-    ],
-    [
-      -0.19607499259861505, 0.16301773782095175, 0.08885319736504582,
-      -0.18440284297844772,
-    ],
-    [
-      -0.19607499259861505, 0.16301773782095175, 0.11527094786688569,
-      0.16915054761482606,
-    ],
-    [
-      -0.19607499259861505, 0.16301773782095175, 0.20076058430346877,
-      -0.03993102766841386,
-    ],
-    [
-      -0.19607499259861505, 0.24361814001492565, -0.09429555327052969,
-      -0.015252295363621632,
-    ],
-    [
-      -0.19607499259861505, 0.24361814001492565, -0.07796848555407804,
-      -0.05518332303203549,
-    ],
-    [
-      -0.19607499259861505, 0.24361814001492565, -0.00880591683394663,
-      0.09511435070044935,
-    ],
-    [
-      -0.19607499259861505, 0.24361814001492565, 0.0339389013843449,
-      0.08928849227799834,
-    ],
-    [
-      -0.19607499259861505, 0.24361814001492565, 0.06035665188618479,
-      -0.07403619691437671,
-    ],
-    [
-      -0.19607499259861505, 0.24361814001492565, 0.08677440238802467,
-      -0.03993102766841386,
-    ],
-    [
-      -0.19098300562505258, -0.23116469299922882, -0.12071330377236958,
-      -0.04935746460958447,
-    ],
-    [
-      -0.19098300562505258, -0.23116469299922882, 0.01761183366789326,
-      0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, -0.23116469299922882, 0.10310147010447632,
-      -0.07986205533682772,
-    ],
-    [
-      -0.19098300562505258, -0.2157713859336356, -0.15257341017969334,
-      -0.024678732304792235,
-    ],
-    [
-      -0.19098300562505258, -0.2157713859336356, -0.12615565967785347,
-      -0.08928849227799834,
-    ],
-    [
-      -0.19098300562505258, -0.2157713859336356, -0.01424827273943051,
-      0.15389825225120446,
-    ],
-    [
-      -0.19098300562505258, -0.2157713859336356, 0.05491429598070091,
-      0.14447181531003384,
-    ],
-    [
-      -0.19098300562505258, -0.2157713859336356, 0.09765911419899245,
-      -0.11979308300524161,
-    ],
-    [
-      -0.19098300562505258, -0.2157713859336356, 0.140403932417284,
-      -0.06460975997320609,
-    ],
-    [
-      -0.19098300562505258, -0.19086449190224186, -0.17770639473009164,
-      -0.04935746460958447,
-    ],
-    [
-      -0.19098300562505258, -0.19086449190224186, -0.16137932701364,
-      -0.08928849227799834,
-    ],
-    [
-      -0.19098300562505258, -0.19086449190224186, 0.0033635609284627483,
-      0.18440284297844772,
-    ],
-    [
-      -0.19098300562505258, -0.19086449190224186, 0.04610837914675428,
-      0.1785769845559967,
-    ],
-    [
-      -0.19098300562505258, -0.19086449190224186, 0.13159801558333734,
-      -0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, -0.19086449190224186, 0.15801576608517726,
-      -0.09511435070044935,
-    ],
-    [
-      -0.19098300562505258, -0.08535719567687416, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      -0.19098300562505258, -0.08535719567687416, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      -0.19098300562505258, -0.08535719567687416, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      -0.19098300562505258, -0.060450301645480445, -0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, -0.060450301645480445, -0.18106995565855438,
-      0.18440284297844772,
-    ],
-    [
-      -0.19098300562505258, -0.060450301645480445, -0.0691625687201314,
-      -0.24901260295165378,
-    ],
-    [-0.19098300562505258, -0.060450301645480445, 0.0, -0.25843903989282435],
-    [
-      -0.19098300562505258, -0.060450301645480445, 0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, -0.060450301645480445, 0.2502325243786858,
-      0.06460975997320609,
-    ],
-    [
-      -0.19098300562505258, -0.020150100548493477, -0.22173597889982477,
-      0.14447181531003384,
-    ],
-    [
-      -0.19098300562505258, -0.020150100548493477, -0.1953182283979849,
-      0.1785769845559967,
-    ],
-    [
-      -0.19098300562505258, -0.020150100548493477, -0.05699309095772204,
-      -0.25843903989282435,
-    ],
-    [
-      -0.19098300562505258, -0.020150100548493477, -0.01424827273943051,
-      -0.26426489831527544,
-    ],
-    [
-      -0.19098300562505258, -0.020150100548493477, 0.2359842516392553,
-      0.11979308300524161,
-    ],
-    [
-      -0.19098300562505258, -0.020150100548493477, 0.25231131935570694,
-      0.07986205533682772,
-    ],
-    [
-      -0.19098300562505258, 0.020150100548493477, -0.25231131935570694,
-      -0.07986205533682772,
-    ],
-    [
-      -0.19098300562505258, 0.020150100548493477, -0.2359842516392553,
-      -0.11979308300524161,
-    ],
-    [
-      -0.19098300562505258, 0.020150100548493477, 0.01424827273943051,
-      0.26426489831527544,
-    ],
-    [
-      -0.19098300562505258, 0.020150100548493477, 0.05699309095772204,
-      0.25843903989282435,
-    ],
-    [
-      -0.19098300562505258, 0.020150100548493477, 0.1953182283979849,
-      -0.1785769845559967,
-    ],
-    [
-      -0.19098300562505258, 0.020150100548493477, 0.22173597889982477,
-      -0.14447181531003384,
-    ],
-    [
-      -0.19098300562505258, 0.060450301645480445, -0.2502325243786858,
-      -0.06460975997320609,
-    ],
-    [
-      -0.19098300562505258, 0.060450301645480445, -0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [-0.19098300562505258, 0.060450301645480445, 0.0, 0.25843903989282435],
-    [
-      -0.19098300562505258, 0.060450301645480445, 0.0691625687201314,
-      0.24901260295165378,
-    ],
-    [
-      -0.19098300562505258, 0.060450301645480445, 0.18106995565855438,
-      -0.18440284297844772,
-    ],
-    [
-      -0.19098300562505258, 0.060450301645480445, 0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, 0.08535719567687416, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      -0.19098300562505258, 0.08535719567687416, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      -0.19098300562505258, 0.08535719567687416, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      -0.19098300562505258, 0.19086449190224186, -0.15801576608517726,
-      0.09511435070044935,
-    ],
-    [
-      -0.19098300562505258, 0.19086449190224186, -0.13159801558333734,
-      0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, 0.19086449190224186, -0.04610837914675428,
-      -0.1785769845559967,
-    ],
-    [
-      -0.19098300562505258, 0.19086449190224186, -0.0033635609284627483,
-      -0.18440284297844772,
-    ],
-    [
-      -0.19098300562505258, 0.19086449190224186, 0.16137932701364,
-      0.08928849227799834,
-    ],
-    [
-      -0.19098300562505258, 0.19086449190224186, 0.17770639473009164,
-      0.04935746460958447,
-    ],
-    [
-      -0.19098300562505258, 0.2157713859336356, -0.140403932417284,
-      0.06460975997320609,
-    ],
-    [
-      -0.19098300562505258, 0.2157713859336356, -0.09765911419899245,
-      0.11979308300524161,
-    ],
-    [
-      -0.19098300562505258, 0.2157713859336356, -0.05491429598070091,
-      -0.14447181531003384,
-    ],
-    [
-      -0.19098300562505258, 0.2157713859336356, 0.01424827273943051,
-      -0.15389825225120446,
-    ],
-    [
-      -0.19098300562505258, 0.2157713859336356, 0.12615565967785347,
-      0.08928849227799834,
-    ],
-    [
-      -0.19098300562505258, 0.2157713859336356, 0.15257341017969334,
-      0.024678732304792235,
-    ],
-    [
-      -0.19098300562505258, 0.23116469299922882, -0.10310147010447632,
-      0.07986205533682772,
-    ],
-    [
-      -0.19098300562505258, 0.23116469299922882, -0.01761183366789326,
-      -0.12921951994641218,
-    ],
-    [
-      -0.19098300562505258, 0.23116469299922882, 0.12071330377236958,
-      0.04935746460958447,
-    ],
-    [
-      -0.1694130026644986, -0.25901144708051893, -0.09765911419899245,
-      -0.03993102766841386,
-    ],
-    [
-      -0.1694130026644986, -0.25901144708051893, 0.01424827273943051,
-      0.10454078764161998,
-    ],
-    [
-      -0.1694130026644986, -0.25901144708051893, 0.08341084145956193,
-      -0.06460975997320609,
-    ],
-    [
-      -0.1694130026644986, -0.22822483294933243, -0.16137932701364,
-      0.009426436941170603,
-    ],
-    [
-      -0.1694130026644986, -0.22822483294933243, -0.10854382600996021,
-      -0.11979308300524161,
-    ],
-    [
-      -0.1694130026644986, -0.22822483294933243, -0.04947194007521703,
-      0.15389825225120446,
-    ],
-    [
-      -0.1694130026644986, -0.22822483294933243, 0.07252612964859417,
-      -0.14447181531003384,
-    ],
-    [
-      -0.1694130026644986, -0.22822483294933243, 0.08885319736504582,
-      0.1350453783688632,
-    ],
-    [
-      -0.1694130026644986, -0.22822483294933243, 0.15801576608517726,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1694130026644986, -0.17841104488654497, -0.2116452961144365,
-      -0.03993102766841386,
-    ],
-    [
-      -0.1694130026644986, -0.17841104488654497, -0.17899116068153326,
-      -0.11979308300524161,
-    ],
-    [
-      -0.1694130026644986, -0.17841104488654497, -0.01424827273943051,
-      0.21490743370569096,
-    ],
-    [
-      -0.1694130026644986, -0.17841104488654497, 0.07124136369715256,
-      0.20325571686078892,
-    ],
-    [
-      -0.1694130026644986, -0.17841104488654497, 0.140403932417284,
-      -0.16332468919237503,
-    ],
-    [
-      -0.1694130026644986, -0.17841104488654497, 0.19323943342096372,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1694130026644986, -0.12271753672396479, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      -0.1694130026644986, -0.12271753672396479, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      -0.1694130026644986, -0.12271753672396479, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      -0.1694130026644986, -0.0729037486611773, -0.24894775842724415,
-      0.10454078764161998,
-    ],
-    [
-      -0.1694130026644986, -0.0729037486611773, -0.16345812199066112,
-      0.21490743370569096,
-    ],
-    [
-      -0.1694130026644986, -0.0729037486611773, -0.10438623605591793,
-      -0.24901260295165378,
-    ],
-    [
-      -0.1694130026644986, -0.0729037486611773, 0.0339389013843449,
-      -0.267865476833995,
-    ],
-    [
-      -0.1694130026644986, -0.0729037486611773, 0.2150088570428993,
-      0.16332468919237503,
-    ],
-    [
-      -0.1694130026644986, -0.0729037486611773, 0.267844358046579,
-      0.03410516924596284,
-    ],
-    [
-      -0.1694130026644986, -0.00769665353279661, -0.2720019480006213,
-      -0.06460975997320609,
-    ],
-    [
-      -0.1694130026644986, -0.00769665353279661, -0.23934781256771803,
-      -0.14447181531003384,
-    ],
-    [
-      -0.1694130026644986, -0.00769665353279661, -0.00544235590548388,
-      0.27951719367889705,
-    ],
-    [
-      -0.1694130026644986, -0.00769665353279661, 0.08004728053109919,
-      0.267865476833995,
-    ],
-    [
-      -0.1694130026644986, -0.00769665353279661, 0.1919546674695221,
-      -0.20325571686078892,
-    ],
-    [
-      -0.1694130026644986, -0.00769665353279661, 0.2447901684732019,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1694130026644986, 0.00769665353279661, -0.2447901684732019,
-      0.1350453783688632,
-    ],
-    [
-      -0.1694130026644986, 0.00769665353279661, -0.1919546674695221,
-      0.20325571686078892,
-    ],
-    [
-      -0.1694130026644986, 0.00769665353279661, -0.08004728053109919,
-      -0.267865476833995,
-    ],
-    [
-      -0.1694130026644986, 0.00769665353279661, 0.00544235590548388,
-      -0.27951719367889705,
-    ],
-    [
-      -0.1694130026644986, 0.00769665353279661, 0.23934781256771803,
-      0.14447181531003384,
-    ],
-    [
-      -0.1694130026644986, 0.00769665353279661, 0.2720019480006213,
-      0.06460975997320609,
-    ],
-    [
-      -0.1694130026644986, 0.0729037486611773, -0.267844358046579,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1694130026644986, 0.0729037486611773, -0.2150088570428993,
-      -0.16332468919237503,
-    ],
-    [
-      -0.1694130026644986, 0.0729037486611773, -0.0339389013843449,
-      0.267865476833995,
-    ],
-    [
-      -0.1694130026644986, 0.0729037486611773, 0.10438623605591793,
-      0.24901260295165378,
-    ],
-    [
-      -0.1694130026644986, 0.0729037486611773, 0.16345812199066112,
-      -0.21490743370569096,
-    ],
-    [
-      -0.1694130026644986, 0.0729037486611773, 0.24894775842724415,
-      -0.10454078764161998,
-    ],
-    [
-      -0.1694130026644986, 0.12271753672396479, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1694130026644986, 0.12271753672396479, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      -0.1694130026644986, 0.12271753672396479, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      -0.1694130026644986, 0.17841104488654497, -0.19323943342096372,
-      0.09511435070044935,
-    ],
-    [
-      -0.1694130026644986, 0.17841104488654497, -0.140403932417284,
-      0.16332468919237503,
-    ],
-    [
-      -0.1694130026644986, 0.17841104488654497, -0.07124136369715256,
-      -0.20325571686078892,
-    ],
-    [
-      -0.1694130026644986, 0.17841104488654497, 0.01424827273943051,
-      -0.21490743370569096,
-    ],
-    [
-      -0.1694130026644986, 0.17841104488654497, 0.17899116068153326,
-      0.11979308300524161,
-    ],
-    [
-      -0.1694130026644986, 0.17841104488654497, 0.2116452961144365,
-      0.03993102766841386,
-    ],
-    [
-      -0.1694130026644986, 0.22822483294933243, -0.15801576608517726,
-      0.03410516924596284,
-    ],
-    [
-      -0.1694130026644986, 0.22822483294933243, -0.08885319736504582,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1694130026644986, 0.22822483294933243, -0.07252612964859417,
-      0.14447181531003384,
-    ],
-    [
-      -0.1694130026644986, 0.22822483294933243, 0.04947194007521703,
-      -0.15389825225120446,
-    ],
-    [
-      -0.1694130026644986, 0.22822483294933243, 0.10854382600996021,
-      0.11979308300524161,
-    ],
-    [
-      -0.1694130026644986, 0.22822483294933243, 0.16137932701364,
-      -0.009426436941170603,
-    ],
-    [
-      -0.1694130026644986, 0.25901144708051893, -0.08341084145956193,
-      0.06460975997320609,
-    ],
-    [
-      -0.1694130026644986, 0.25901144708051893, -0.01424827273943051,
-      -0.10454078764161998,
-    ],
-    [
-      -0.1694130026644986, 0.25901144708051893, 0.09765911419899245,
-      0.03993102766841386,
-    ],
-    [
-      -0.1611739946710028, -0.2637682405634192, -0.10102267512745519,
-      0.03410516924596284,
-    ],
-    [
-      -0.1611739946710028, -0.2637682405634192, -0.05827785690916366,
-      0.08928849227799834,
-    ],
-    [
-      -0.1611739946710028, -0.2637682405634192, -0.048187174123775406,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1611739946710028, -0.2637682405634192, 0.020975394596356008,
-      -0.10454078764161998,
-    ],
-    [
-      -0.1611739946710028, -0.2637682405634192, 0.08004728053109919,
-      0.07043561839565712,
-    ],
-    [
-      -0.1611739946710028, -0.2637682405634192, 0.10646503103293906,
-      0.005825858422451027,
-    ],
-    [
-      -0.1611739946710028, -0.18316783836944522, -0.2150088570428993,
-      0.03410516924596284,
-    ],
-    [
-      -0.1611739946710028, -0.18316783836944522, -0.1295192206063162,
-      -0.1749764060372771,
-    ],
-    [
-      -0.1611739946710028, -0.18316783836944522, -0.08677440238802467,
-      0.19965513834206933,
-    ],
-    [
-      -0.1611739946710028, -0.18316783836944522, 0.07796848555407804,
-      -0.20325571686078892,
-    ],
-    [
-      -0.1611739946710028, -0.18316783836944522, 0.1370403714888212,
-      0.16915054761482606,
-    ],
-    [
-      -0.1611739946710028, -0.18316783836944522, 0.2162936229943409,
-      -0.024678732304792235,
-    ],
-    [
-      -0.1611739946710028, -0.14286763727245827, -0.22925712978232976,
-      0.08928849227799834,
-    ],
-    [
-      -0.1611739946710028, -0.14286763727245827, -0.14376749334574673,
-      0.19965513834206933,
-    ],
-    [
-      -0.1611739946710028, -0.14286763727245827, -0.10102267512745519,
-      -0.22433387064686156,
-    ],
-    [
-      -0.1611739946710028, -0.14286763727245827, 0.03730246231280765,
-      -0.24318674452920275,
-    ],
-    [
-      -0.1611739946710028, -0.14286763727245827, 0.1919546674695221,
-      0.15389825225120446,
-    ],
-    [
-      -0.1611739946710028, -0.14286763727245827, 0.2447901684732019,
-      0.024678732304792235,
-    ],
-    [
-      -0.1611739946710028, -0.13335405030665776, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1611739946710028, -0.13335405030665776, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      -0.1611739946710028, -0.13335405030665776, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      -0.1611739946710028, -0.06814695517827704, -0.2556748802841696,
-      -0.10454078764161998,
-    ],
-    [
-      -0.1611739946710028, -0.06814695517827704, 0.03730246231280765,
-      0.27369133525644607,
-    ],
-    [
-      -0.1611739946710028, -0.06814695517827704, 0.21837241797136203,
-      -0.16915054761482606,
-    ],
-    [
-      -0.1611739946710028, -0.01245344701569687, -0.27536550892908407,
-      0.07043561839565712,
-    ],
-    [
-      -0.1611739946710028, -0.01245344701569687, -0.14713105427420947,
-      -0.24318674452920275,
-    ],
-    [
-      -0.1611739946710028, -0.01245344701569687, -0.1370403714888212,
-      0.24901260295165378,
-    ],
-    [
-      -0.1611739946710028, -0.01245344701569687, 0.07668371960263642,
-      -0.27369133525644607,
-    ],
-    [
-      -0.1611739946710028, -0.01245344701569687, 0.19868178932644764,
-      0.20325571686078892,
-    ],
-    [
-      -0.1611739946710028, -0.01245344701569687, 0.28417142576303067,
-      -0.005825858422451027,
-    ],
-    [
-      -0.1611739946710028, 0.01245344701569687, -0.28417142576303067,
-      0.005825858422451027,
-    ],
-    [
-      -0.1611739946710028, 0.01245344701569687, -0.19868178932644764,
-      -0.20325571686078892,
-    ],
-    [
-      -0.1611739946710028, 0.01245344701569687, -0.07668371960263642,
-      0.27369133525644607,
-    ],
-    [
-      -0.1611739946710028, 0.01245344701569687, 0.1370403714888212,
-      -0.24901260295165378,
-    ],
-    [
-      -0.1611739946710028, 0.01245344701569687, 0.14713105427420947,
-      0.24318674452920275,
-    ],
-    [
-      -0.1611739946710028, 0.01245344701569687, 0.27536550892908407,
-      -0.07043561839565712,
-    ],
-    [
-      -0.1611739946710028, 0.06814695517827704, -0.21837241797136203,
-      0.16915054761482606,
-    ],
-    [
-      -0.1611739946710028, 0.06814695517827704, -0.03730246231280765,
-      -0.27369133525644607,
-    ],
-    [
-      -0.1611739946710028, 0.06814695517827704, 0.2556748802841696,
-      0.10454078764161998,
-    ],
-    [
-      -0.1611739946710028, 0.13335405030665776, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      -0.1611739946710028, 0.13335405030665776, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      -0.1611739946710028, 0.13335405030665776, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      -0.1611739946710028, 0.14286763727245827, -0.2447901684732019,
-      -0.024678732304792235,
-    ],
-    [
-      -0.1611739946710028, 0.14286763727245827, -0.1919546674695221,
-      -0.15389825225120446,
-    ],
-    [
-      -0.1611739946710028, 0.14286763727245827, -0.03730246231280765,
-      0.24318674452920275,
-    ],
-    [
-      -0.1611739946710028, 0.14286763727245827, 0.10102267512745519,
-      0.22433387064686156,
-    ],
-    [
-      -0.1611739946710028, 0.14286763727245827, 0.14376749334574673,
-      -0.19965513834206933,
-    ],
-    [
-      -0.1611739946710028, 0.14286763727245827, 0.22925712978232976,
-      -0.08928849227799834,
-    ],
-    [
-      -0.1611739946710028, 0.18316783836944522, -0.2162936229943409,
-      0.024678732304792235,
-    ],
-    [
-      -0.1611739946710028, 0.18316783836944522, -0.1370403714888212,
-      -0.16915054761482606,
-    ],
-    [
-      -0.1611739946710028, 0.18316783836944522, -0.07796848555407804,
-      0.20325571686078892,
-    ],
-    [
-      -0.1611739946710028, 0.18316783836944522, 0.08677440238802467,
-      -0.19965513834206933,
-    ],
-    [
-      -0.1611739946710028, 0.18316783836944522, 0.1295192206063162,
-      0.1749764060372771,
-    ],
-    [
-      -0.1611739946710028, 0.18316783836944522, 0.2150088570428993,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1611739946710028, 0.2637682405634192, -0.10646503103293906,
-      -0.005825858422451027,
-    ],
-    [
-      -0.1611739946710028, 0.2637682405634192, -0.08004728053109919,
-      -0.07043561839565712,
-    ],
-    [
-      -0.1611739946710028, 0.2637682405634192, -0.020975394596356008,
-      0.10454078764161998,
-    ],
-    [
-      -0.1611739946710028, 0.2637682405634192, 0.048187174123775406,
-      0.09511435070044935,
-    ],
-    [
-      -0.1611739946710028, 0.2637682405634192, 0.05827785690916366,
-      -0.08928849227799834,
-    ],
-    [
-      -0.1611739946710028, 0.2637682405634192, 0.10102267512745519,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, -0.27146489409621577, -0.10646503103293906,
-      -0.005825858422451027,
-    ],
-    [
-      -0.1478429997039446, -0.27146489409621577, -0.08004728053109919,
-      -0.07043561839565712,
-    ],
-    [
-      -0.1478429997039446, -0.27146489409621577, -0.020975394596356008,
-      0.10454078764161998,
-    ],
-    [
-      -0.1478429997039446, -0.27146489409621577, 0.048187174123775406,
-      0.09511435070044935,
-    ],
-    [
-      -0.1478429997039446, -0.27146489409621577, 0.05827785690916366,
-      -0.08928849227799834,
-    ],
-    [
-      -0.1478429997039446, -0.27146489409621577, 0.10102267512745519,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, -0.2560715870306225, -0.1383251374402628,
-      0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, -0.2560715870306225, -0.08548963643658306,
-      -0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, -0.2560715870306225, -0.05283550100367978,
-      0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, -0.2560715870306225, 0.05283550100367978,
-      -0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, -0.2560715870306225, 0.08548963643658306,
-      0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, -0.2560715870306225, 0.1383251374402628,
-      -0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, -0.2157713859336356, -0.1953182283979849,
-      0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, -0.2157713859336356, -0.12615565967785347,
-      -0.15029767373248487,
-    ],
-    [
-      -0.1478429997039446, -0.2157713859336356, -0.06708377374311028,
-      0.18440284297844772,
-    ],
-    [
-      -0.1478429997039446, -0.2157713859336356, 0.0813320464825408,
-      -0.1785769845559967,
-    ],
-    [
-      -0.1478429997039446, -0.2157713859336356, 0.11398618191544407,
-      0.15972411067365544,
-    ],
-    [
-      -0.1478429997039446, -0.2157713859336356, 0.19323943342096372,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, -0.19086449190224186, -0.22045121294838316,
-      -0.005825858422451027,
-    ],
-    [
-      -0.1478429997039446, -0.19086449190224186, -0.16137932701364,
-      -0.15029767373248487,
-    ],
-    [
-      -0.1478429997039446, -0.19086449190224186, -0.04947194007521703,
-      0.21490743370569096,
-    ],
-    [
-      -0.1478429997039446, -0.19086449190224186, 0.10518026508149744,
-      0.1938292799196183,
-    ],
-    [
-      -0.1478429997039446, -0.19086449190224186, 0.11527094786688569,
-      -0.18800342149716726,
-    ],
-    [
-      -0.1478429997039446, -0.19086449190224186, 0.210851267088857,
-      -0.06460975997320609,
-    ],
-    [
-      -0.1478429997039446, -0.16595759787084807, -0.22925712978232976,
-      -0.07043561839565712,
-    ],
-    [
-      -0.1478429997039446, -0.16595759787084807, -0.2129300620658781,
-      -0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, -0.16595759787084807, 0.01088471181096776,
-      0.23958616601048321,
-    ],
-    [
-      -0.1478429997039446, -0.16595759787084807, 0.05362953002925929,
-      0.23376030758803218,
-    ],
-    [
-      -0.1478429997039446, -0.16595759787084807, 0.17562759975307046,
-      -0.16332468919237503,
-    ],
-    [
-      -0.1478429997039446, -0.16595759787084807, 0.20204535025491038,
-      -0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, -0.13517098373966163, -0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, -0.13517098373966163, -0.18106995565855438,
-      0.18440284297844772,
-    ],
-    [
-      -0.1478429997039446, -0.13517098373966163, -0.0691625687201314,
-      -0.24901260295165378,
-    ],
-    [-0.1478429997039446, -0.13517098373966163, 0.0, -0.25843903989282435],
-    [
-      -0.1478429997039446, -0.13517098373966163, 0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, -0.13517098373966163, 0.2502325243786858,
-      0.06460975997320609,
-    ],
-    [
-      -0.1478429997039446, -0.11026408970826793, -0.24894775842724415,
-      0.10454078764161998,
-    ],
-    [
-      -0.1478429997039446, -0.11026408970826793, -0.16345812199066112,
-      0.21490743370569096,
-    ],
-    [
-      -0.1478429997039446, -0.11026408970826793, -0.10438623605591793,
-      -0.24901260295165378,
-    ],
-    [
-      -0.1478429997039446, -0.11026408970826793, 0.0339389013843449,
-      -0.267865476833995,
-    ],
-    [
-      -0.1478429997039446, -0.11026408970826793, 0.2150088570428993,
-      0.16332468919237503,
-    ],
-    [
-      -0.1478429997039446, -0.11026408970826793, 0.267844358046579,
-      0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, -0.045056994579887225, -0.2720019480006213,
-      0.09511435070044935,
-    ],
-    [
-      -0.1478429997039446, -0.045056994579887225, -0.16009456106219838,
-      0.23958616601048321,
-    ],
-    [
-      -0.1478429997039446, -0.045056994579887225, -0.12744042562929508,
-      -0.25843903989282435,
-    ],
-    [
-      -0.1478429997039446, -0.045056994579887225, 0.05362953002925929,
-      -0.28311777219761664,
-    ],
-    [
-      -0.1478429997039446, -0.045056994579887225, 0.21837241797136203,
-      0.18800342149716726,
-    ],
-    [
-      -0.1478429997039446, -0.045056994579887225, 0.28753498669149347,
-      0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, -0.0355434076140867, -0.27536550892908407,
-      -0.08928849227799834,
-    ],
-    [
-      -0.1478429997039446, -0.0355434076140867, -0.2590384412126324,
-      -0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, -0.0355434076140867, 0.01761183366789326,
-      0.28894363062006767,
-    ],
-    [
-      -0.1478429997039446, -0.0355434076140867, 0.06035665188618479,
-      0.28311777219761664,
-    ],
-    [
-      -0.1478429997039446, -0.0355434076140867, 0.2150088570428993,
-      -0.1938292799196183,
-    ],
-    [
-      -0.1478429997039446, -0.0355434076140867, 0.24142660754473916,
-      -0.15972411067365544,
-    ],
-    [
-      -0.1478429997039446, -0.0047567934829002585, -0.26992315302360015,
-      0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, -0.0047567934829002585, -0.17434283380162885,
-      0.23376030758803218,
-    ],
-    [
-      -0.1478429997039446, -0.0047567934829002585, -0.11527094786688569,
-      -0.267865476833995,
-    ],
-    [
-      -0.1478429997039446, -0.0047567934829002585, 0.03938125728982878,
-      -0.28894363062006767,
-    ],
-    [
-      -0.1478429997039446, -0.0047567934829002585, 0.23054189573377137,
-      0.1785769845559967,
-    ],
-    [
-      -0.1478429997039446, -0.0047567934829002585, 0.2896137816685146,
-      0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, 0.0047567934829002585, -0.2896137816685146,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, 0.0047567934829002585, -0.23054189573377137,
-      -0.1785769845559967,
-    ],
-    [
-      -0.1478429997039446, 0.0047567934829002585, -0.03938125728982878,
-      0.28894363062006767,
-    ],
-    [
-      -0.1478429997039446, 0.0047567934829002585, 0.11527094786688569,
-      0.267865476833995,
-    ],
-    [
-      -0.1478429997039446, 0.0047567934829002585, 0.17434283380162885,
-      -0.23376030758803218,
-    ],
-    [
-      -0.1478429997039446, 0.0047567934829002585, 0.26992315302360015,
-      -0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, 0.0355434076140867, -0.24142660754473916,
-      0.15972411067365544,
-    ],
-    [
-      -0.1478429997039446, 0.0355434076140867, -0.2150088570428993,
-      0.1938292799196183,
-    ],
-    [
-      -0.1478429997039446, 0.0355434076140867, -0.06035665188618479,
-      -0.28311777219761664,
-    ],
-    [
-      -0.1478429997039446, 0.0355434076140867, -0.01761183366789326,
-      -0.28894363062006767,
-    ],
-    [
-      -0.1478429997039446, 0.0355434076140867, 0.2590384412126324,
-      0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, 0.0355434076140867, 0.27536550892908407,
-      0.08928849227799834,
-    ],
-    [
-      -0.1478429997039446, 0.045056994579887225, -0.28753498669149347,
-      -0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, 0.045056994579887225, -0.21837241797136203,
-      -0.18800342149716726,
-    ],
-    [
-      -0.1478429997039446, 0.045056994579887225, -0.05362953002925929,
-      0.28311777219761664,
-    ],
-    [
-      -0.1478429997039446, 0.045056994579887225, 0.12744042562929508,
-      0.25843903989282435,
-    ],
-    [
-      -0.1478429997039446, 0.045056994579887225, 0.16009456106219838,
-      -0.23958616601048321,
-    ],
-    [
-      -0.1478429997039446, 0.045056994579887225, 0.2720019480006213,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1478429997039446, 0.11026408970826793, -0.267844358046579,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, 0.11026408970826793, -0.2150088570428993,
-      -0.16332468919237503,
-    ],
-    [
-      -0.1478429997039446, 0.11026408970826793, -0.0339389013843449,
-      0.267865476833995,
-    ],
-    [
-      -0.1478429997039446, 0.11026408970826793, 0.10438623605591793,
-      0.24901260295165378,
-    ],
-    [
-      -0.1478429997039446, 0.11026408970826793, 0.16345812199066112,
-      -0.21490743370569096,
-    ],
-    [
-      -0.1478429997039446, 0.11026408970826793, 0.24894775842724415,
-      -0.10454078764161998,
-    ],
-    [
-      -0.1478429997039446, 0.13517098373966163, -0.2502325243786858,
-      -0.06460975997320609,
-    ],
-    [
-      -0.1478429997039446, 0.13517098373966163, -0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [-0.1478429997039446, 0.13517098373966163, 0.0, 0.25843903989282435],
-    [
-      -0.1478429997039446, 0.13517098373966163, 0.0691625687201314,
-      0.24901260295165378,
-    ],
-    [
-      -0.1478429997039446, 0.13517098373966163, 0.18106995565855438,
-      -0.18440284297844772,
-    ],
-    [
-      -0.1478429997039446, 0.13517098373966163, 0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, 0.16595759787084807, -0.20204535025491038,
-      0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, 0.16595759787084807, -0.17562759975307046,
-      0.16332468919237503,
-    ],
-    [
-      -0.1478429997039446, 0.16595759787084807, -0.05362953002925929,
-      -0.23376030758803218,
-    ],
-    [
-      -0.1478429997039446, 0.16595759787084807, -0.01088471181096776,
-      -0.23958616601048321,
-    ],
-    [
-      -0.1478429997039446, 0.16595759787084807, 0.2129300620658781,
-      0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, 0.16595759787084807, 0.22925712978232976,
-      0.07043561839565712,
-    ],
-    [
-      -0.1478429997039446, 0.19086449190224186, -0.210851267088857,
-      0.06460975997320609,
-    ],
-    [
-      -0.1478429997039446, 0.19086449190224186, -0.11527094786688569,
-      0.18800342149716726,
-    ],
-    [
-      -0.1478429997039446, 0.19086449190224186, -0.10518026508149744,
-      -0.1938292799196183,
-    ],
-    [
-      -0.1478429997039446, 0.19086449190224186, 0.04947194007521703,
-      -0.21490743370569096,
-    ],
-    [
-      -0.1478429997039446, 0.19086449190224186, 0.16137932701364,
-      0.15029767373248487,
-    ],
-    [
-      -0.1478429997039446, 0.19086449190224186, 0.22045121294838316,
-      0.005825858422451027,
-    ],
-    [
-      -0.1478429997039446, 0.2157713859336356, -0.19323943342096372,
-      0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, 0.2157713859336356, -0.11398618191544407,
-      -0.15972411067365544,
-    ],
-    [
-      -0.1478429997039446, 0.2157713859336356, -0.0813320464825408,
-      0.1785769845559967,
-    ],
-    [
-      -0.1478429997039446, 0.2157713859336356, 0.06708377374311028,
-      -0.18440284297844772,
-    ],
-    [
-      -0.1478429997039446, 0.2157713859336356, 0.12615565967785347,
-      0.15029767373248487,
-    ],
-    [
-      -0.1478429997039446, 0.2157713859336356, 0.1953182283979849,
-      -0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, 0.2560715870306225, -0.1383251374402628,
-      0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, 0.2560715870306225, -0.08548963643658306,
-      -0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, 0.2560715870306225, -0.05283550100367978,
-      0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, 0.2560715870306225, 0.05283550100367978,
-      -0.12921951994641218,
-    ],
-    [
-      -0.1478429997039446, 0.2560715870306225, 0.08548963643658306,
-      0.11036664606407098,
-    ],
-    [
-      -0.1478429997039446, 0.2560715870306225, 0.1383251374402628,
-      -0.018852873882341206,
-    ],
-    [
-      -0.1478429997039446, 0.27146489409621577, -0.10102267512745519,
-      0.03410516924596284,
-    ],
-    [
-      -0.1478429997039446, 0.27146489409621577, -0.05827785690916366,
-      0.08928849227799834,
-    ],
-    [
-      -0.1478429997039446, 0.27146489409621577, -0.048187174123775406,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1478429997039446, 0.27146489409621577, 0.020975394596356008,
-      -0.10454078764161998,
-    ],
-    [
-      -0.1478429997039446, 0.27146489409621577, 0.08004728053109919,
-      0.07043561839565712,
-    ],
-    [
-      -0.1478429997039446, 0.27146489409621577, 0.10646503103293906,
-      0.005825858422451027,
-    ],
-    [
-      -0.13960399171044885, -0.276221687579116, -0.08341084145956193,
-      0.06460975997320609,
-    ],
-    [
-      -0.13960399171044885, -0.276221687579116, -0.01424827273943051,
-      -0.10454078764161998,
-    ],
-    [
-      -0.13960399171044885, -0.276221687579116, 0.09765911419899245,
-      0.03993102766841386,
-    ],
-    [
-      -0.13960399171044885, -0.17071439135374833, -0.23262069071079255,
-      0.06460975997320609,
-    ],
-    [
-      -0.13960399171044885, -0.17071439135374833, -0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      -0.13960399171044885, -0.17071439135374833, -0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      -0.13960399171044885, -0.17071439135374833, 0.06035665188618479,
-      -0.23376030758803218,
-    ],
-    [
-      -0.13960399171044885, -0.17071439135374833, 0.17226403882460772,
-      0.16915054761482606,
-    ],
-    [-0.13960399171044885, -0.17071439135374833, 0.24142660754473916, 0.0],
-    [
-      -0.13960399171044885, -0.10550729622536767, -0.2556748802841696,
-      -0.10454078764161998,
-    ],
-    [
-      -0.13960399171044885, -0.10550729622536767, 0.03730246231280765,
-      0.27369133525644607,
-    ],
-    [
-      -0.13960399171044885, -0.10550729622536767, 0.21837241797136203,
-      -0.16915054761482606,
-    ],
-    [-0.13960399171044885, 0.0, -0.2929773425969773, 0.03993102766841386],
-    [-0.13960399171044885, 0.0, -0.18106995565855438, -0.23376030758803218],
-    [-0.13960399171044885, 0.0, -0.11190738693842295, 0.27369133525644607],
-    [-0.13960399171044885, 0.0, 0.11190738693842295, -0.27369133525644607],
-    [-0.13960399171044885, 0.0, 0.18106995565855438, 0.23376030758803218],
-    [-0.13960399171044885, 0.0, 0.2929773425969773, -0.03993102766841386],
-    [
-      -0.13960399171044885, 0.10550729622536767, -0.21837241797136203,
-      0.16915054761482606,
-    ],
-    [
-      -0.13960399171044885, 0.10550729622536767, -0.03730246231280765,
-      -0.27369133525644607,
-    ],
-    [
-      -0.13960399171044885, 0.10550729622536767, 0.2556748802841696,
-      0.10454078764161998,
-    ],
-    [-0.13960399171044885, 0.17071439135374833, -0.24142660754473916, 0.0],
-    [
-      -0.13960399171044885, 0.17071439135374833, -0.17226403882460772,
-      -0.16915054761482606,
-    ],
-    [
-      -0.13960399171044885, 0.17071439135374833, -0.06035665188618479,
-      0.23376030758803218,
-    ],
-    [
-      -0.13960399171044885, 0.17071439135374833, 0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      -0.13960399171044885, 0.17071439135374833, 0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      -0.13960399171044885, 0.17071439135374833, 0.23262069071079255,
-      -0.06460975997320609,
-    ],
-    [
-      -0.13960399171044885, 0.276221687579116, -0.09765911419899245,
-      -0.03993102766841386,
-    ],
-    [
-      -0.13960399171044885, 0.276221687579116, 0.01424827273943051,
-      0.10454078764161998,
-    ],
-    [
-      -0.13960399171044885, 0.276221687579116, 0.08341084145956193,
-      -0.06460975997320609,
-    ],
-    [
-      -0.1129420017763324, -0.2916149946447092, -0.09429555327052969,
-      -0.015252295363621632,
-    ],
-    [
-      -0.1129420017763324, -0.2916149946447092, -0.07796848555407804,
-      -0.05518332303203549,
-    ],
-    [
-      -0.1129420017763324, -0.2916149946447092, -0.00880591683394663,
-      0.09511435070044935,
-    ],
-    [
-      -0.1129420017763324, -0.2916149946447092, 0.0339389013843449,
-      0.08928849227799834,
-    ],
-    [
-      -0.1129420017763324, -0.2916149946447092, 0.06035665188618479,
-      -0.07403619691437671,
-    ],
-    [
-      -0.1129420017763324, -0.2916149946447092, 0.08677440238802467,
-      -0.03993102766841386,
-    ],
-    [
-      -0.1129420017763324, -0.26082838051352275, -0.15801576608517726,
-      0.03410516924596284,
-    ],
-    [
-      -0.1129420017763324, -0.26082838051352275, -0.08885319736504582,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1129420017763324, -0.26082838051352275, -0.07252612964859417,
-      0.14447181531003384,
-    ],
-    [
-      -0.1129420017763324, -0.26082838051352275, 0.04947194007521703,
-      -0.15389825225120446,
-    ],
-    [
-      -0.1129420017763324, -0.26082838051352275, 0.10854382600996021,
-      0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, -0.26082838051352275, 0.16137932701364,
-      -0.009426436941170603,
-    ],
-    [
-      -0.1129420017763324, -0.23592148648212907, -0.19323943342096372,
-      0.03410516924596284,
-    ],
-    [
-      -0.1129420017763324, -0.23592148648212907, -0.11398618191544407,
-      -0.15972411067365544,
-    ],
-    [
-      -0.1129420017763324, -0.23592148648212907, -0.0813320464825408,
-      0.1785769845559967,
-    ],
-    [
-      -0.1129420017763324, -0.23592148648212907, 0.06708377374311028,
-      -0.18440284297844772,
-    ],
-    [
-      -0.1129420017763324, -0.23592148648212907, 0.12615565967785347,
-      0.15029767373248487,
-    ],
-    [
-      -0.1129420017763324, -0.23592148648212907, 0.1953182283979849,
-      -0.018852873882341206,
-    ],
-    [
-      -0.1129420017763324, -0.18610769841934155, -0.24350540252176028,
-      -0.015252295363621632,
-    ],
-    [
-      -0.1129420017763324, -0.18610769841934155, -0.18443351658701712,
-      -0.15972411067365544,
-    ],
-    [
-      -0.1129420017763324, -0.18610769841934155, -0.04610837914675428,
-      0.23958616601048321,
-    ],
-    [
-      -0.1129420017763324, -0.18610769841934155, 0.10854382600996021,
-      0.21850801222441052,
-    ],
-    [
-      -0.1129420017763324, -0.18610769841934155, 0.13496157651180007,
-      -0.20325571686078892,
-    ],
-    [
-      -0.1129420017763324, -0.18610769841934155, 0.23054189573377137,
-      -0.07986205533682772,
-    ],
-    [
-      -0.1129420017763324, -0.17071439135374833, -0.24894775842724415,
-      -0.05518332303203549,
-    ],
-    [
-      -0.1129420017763324, -0.17071439135374833, -0.2162936229943409,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1129420017763324, -0.17071439135374833, -0.00880591683394663,
-      0.2548384613741048,
-    ],
-    [
-      -0.1129420017763324, -0.17071439135374833, 0.07668371960263642,
-      0.24318674452920275,
-    ],
-    [
-      -0.1129420017763324, -0.17071439135374833, 0.17226403882460772,
-      -0.18800342149716726,
-    ],
-    [
-      -0.1129420017763324, -0.17071439135374833, 0.2250995398282875,
-      -0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, -0.1553210842881551, -0.22173597889982477,
-      0.14447181531003384,
-    ],
-    [
-      -0.1129420017763324, -0.1553210842881551, -0.1953182283979849,
-      0.1785769845559967,
-    ],
-    [
-      -0.1129420017763324, -0.1553210842881551, -0.05699309095772204,
-      -0.25843903989282435,
-    ],
-    [
-      -0.1129420017763324, -0.1553210842881551, -0.01424827273943051,
-      -0.26426489831527544,
-    ],
-    [
-      -0.1129420017763324, -0.1553210842881551, 0.2359842516392553,
-      0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, -0.1553210842881551, 0.25231131935570694,
-      0.07986205533682772,
-    ],
-    [
-      -0.1129420017763324, -0.10550729622536767, -0.2720019480006213,
-      0.09511435070044935,
-    ],
-    [
-      -0.1129420017763324, -0.10550729622536767, -0.16009456106219838,
-      0.23958616601048321,
-    ],
-    [
-      -0.1129420017763324, -0.10550729622536767, -0.12744042562929508,
-      -0.25843903989282435,
-    ],
-    [
-      -0.1129420017763324, -0.10550729622536767, 0.05362953002925929,
-      -0.28311777219761664,
-    ],
-    [
-      -0.1129420017763324, -0.10550729622536767, 0.21837241797136203,
-      0.18800342149716726,
-    ],
-    [
-      -0.1129420017763324, -0.10550729622536767, 0.28753498669149347,
-      0.018852873882341206,
-    ],
-    [
-      -0.1129420017763324, -0.06520709512838069, -0.2862502207400518,
-      0.08928849227799834,
-    ],
-    [
-      -0.1129420017763324, -0.06520709512838069, -0.15801576608517726,
-      0.2548384613741048,
-    ],
-    [
-      -0.1129420017763324, -0.06520709512838069, -0.1416886983687256,
-      -0.26426489831527544,
-    ],
-    [
-      -0.1129420017763324, -0.06520709512838069, 0.06579900779166867,
-      -0.2925442091387872,
-    ],
-    [
-      -0.1129420017763324, -0.06520709512838069, 0.22045121294838316,
-      0.20325571686078892,
-    ],
-    [
-      -0.1129420017763324, -0.06520709512838069, 0.29970446445390286,
-      0.009426436941170603,
-    ],
-    [
-      -0.1129420017763324, -0.040300201096986954, -0.2950561375739984,
-      -0.07403619691437671,
-    ],
-    [
-      -0.1129420017763324, -0.040300201096986954, -0.2624020021410952,
-      -0.15389825225120446,
-    ],
-    [
-      -0.1129420017763324, -0.040300201096986954, -0.0020787949770211325,
-      0.3041959259836893,
-    ],
-    [
-      -0.1129420017763324, -0.040300201096986954, 0.08341084145956193,
-      0.2925442091387872,
-    ],
-    [
-      -0.1129420017763324, -0.040300201096986954, 0.2116452961144365,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1129420017763324, -0.040300201096986954, 0.26448079711811634,
-      -0.15029767373248487,
-    ],
-    [
-      -0.1129420017763324, -0.01539330706559322, -0.3038620544079451,
-      -0.03993102766841386,
-    ],
-    [
-      -0.1129420017763324, -0.01539330706559322, -0.2447901684732019,
-      -0.18440284297844772,
-    ],
-    [
-      -0.1129420017763324, -0.01539330706559322, -0.03730246231280765,
-      0.3041959259836893,
-    ],
-    [
-      -0.1129420017763324, -0.01539330706559322, 0.11734974284390684,
-      0.28311777219761664,
-    ],
-    [
-      -0.1129420017763324, -0.01539330706559322, 0.18651231156403825,
-      -0.24318674452920275,
-    ],
-    [
-      -0.1129420017763324, -0.01539330706559322, 0.28209263078600955,
-      -0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, 0.01539330706559322, -0.28209263078600955,
-      0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, 0.01539330706559322, -0.18651231156403825,
-      0.24318674452920275,
-    ],
-    [
-      -0.1129420017763324, 0.01539330706559322, -0.11734974284390684,
-      -0.28311777219761664,
-    ],
-    [
-      -0.1129420017763324, 0.01539330706559322, 0.03730246231280765,
-      -0.3041959259836893,
-    ],
-    [
-      -0.1129420017763324, 0.01539330706559322, 0.2447901684732019,
-      0.18440284297844772,
-    ],
-    [
-      -0.1129420017763324, 0.01539330706559322, 0.3038620544079451,
-      0.03993102766841386,
-    ],
-    [
-      -0.1129420017763324, 0.040300201096986954, -0.26448079711811634,
-      0.15029767373248487,
-    ],
-    [
-      -0.1129420017763324, 0.040300201096986954, -0.2116452961144365,
-      0.21850801222441052,
-    ],
-    [
-      -0.1129420017763324, 0.040300201096986954, -0.08341084145956193,
-      -0.2925442091387872,
-    ],
-    [
-      -0.1129420017763324, 0.040300201096986954, 0.0020787949770211325,
-      -0.3041959259836893,
-    ],
-    [
-      -0.1129420017763324, 0.040300201096986954, 0.2624020021410952,
-      0.15389825225120446,
-    ],
-    [
-      -0.1129420017763324, 0.040300201096986954, 0.2950561375739984,
-      0.07403619691437671,
-    ],
-    [
-      -0.1129420017763324, 0.06520709512838069, -0.29970446445390286,
-      -0.009426436941170603,
-    ],
-    [
-      -0.1129420017763324, 0.06520709512838069, -0.22045121294838316,
-      -0.20325571686078892,
-    ],
-    [
-      -0.1129420017763324, 0.06520709512838069, -0.06579900779166867,
-      0.2925442091387872,
-    ],
-    [
-      -0.1129420017763324, 0.06520709512838069, 0.1416886983687256,
-      0.26426489831527544,
-    ],
-    [
-      -0.1129420017763324, 0.06520709512838069, 0.15801576608517726,
-      -0.2548384613741048,
-    ],
-    [
-      -0.1129420017763324, 0.06520709512838069, 0.2862502207400518,
-      -0.08928849227799834,
-    ],
-    [
-      -0.1129420017763324, 0.10550729622536767, -0.28753498669149347,
-      -0.018852873882341206,
-    ],
-    [
-      -0.1129420017763324, 0.10550729622536767, -0.21837241797136203,
-      -0.18800342149716726,
-    ],
-    [
-      -0.1129420017763324, 0.10550729622536767, -0.05362953002925929,
-      0.28311777219761664,
-    ],
-    [
-      -0.1129420017763324, 0.10550729622536767, 0.12744042562929508,
-      0.25843903989282435,
-    ],
-    [
-      -0.1129420017763324, 0.10550729622536767, 0.16009456106219838,
-      -0.23958616601048321,
-    ],
-    [
-      -0.1129420017763324, 0.10550729622536767, 0.2720019480006213,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1129420017763324, 0.1553210842881551, -0.25231131935570694,
-      -0.07986205533682772,
-    ],
-    [
-      -0.1129420017763324, 0.1553210842881551, -0.2359842516392553,
-      -0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, 0.1553210842881551, 0.01424827273943051,
-      0.26426489831527544,
-    ],
-    [
-      -0.1129420017763324, 0.1553210842881551, 0.05699309095772204,
-      0.25843903989282435,
-    ],
-    [
-      -0.1129420017763324, 0.1553210842881551, 0.1953182283979849,
-      -0.1785769845559967,
-    ],
-    [
-      -0.1129420017763324, 0.1553210842881551, 0.22173597889982477,
-      -0.14447181531003384,
-    ],
-    [
-      -0.1129420017763324, 0.17071439135374833, -0.2250995398282875,
-      0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, 0.17071439135374833, -0.17226403882460772,
-      0.18800342149716726,
-    ],
-    [
-      -0.1129420017763324, 0.17071439135374833, -0.07668371960263642,
-      -0.24318674452920275,
-    ],
-    [
-      -0.1129420017763324, 0.17071439135374833, 0.00880591683394663,
-      -0.2548384613741048,
-    ],
-    [
-      -0.1129420017763324, 0.17071439135374833, 0.2162936229943409,
-      0.1350453783688632,
-    ],
-    [
-      -0.1129420017763324, 0.17071439135374833, 0.24894775842724415,
-      0.05518332303203549,
-    ],
-    [
-      -0.1129420017763324, 0.18610769841934155, -0.23054189573377137,
-      0.07986205533682772,
-    ],
-    [
-      -0.1129420017763324, 0.18610769841934155, -0.13496157651180007,
-      0.20325571686078892,
-    ],
-    [
-      -0.1129420017763324, 0.18610769841934155, -0.10854382600996021,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1129420017763324, 0.18610769841934155, 0.04610837914675428,
-      -0.23958616601048321,
-    ],
-    [
-      -0.1129420017763324, 0.18610769841934155, 0.18443351658701712,
-      0.15972411067365544,
-    ],
-    [
-      -0.1129420017763324, 0.18610769841934155, 0.24350540252176028,
-      0.015252295363621632,
-    ],
-    [
-      -0.1129420017763324, 0.23592148648212907, -0.1953182283979849,
-      0.018852873882341206,
-    ],
-    [
-      -0.1129420017763324, 0.23592148648212907, -0.12615565967785347,
-      -0.15029767373248487,
-    ],
-    [
-      -0.1129420017763324, 0.23592148648212907, -0.06708377374311028,
-      0.18440284297844772,
-    ],
-    [
-      -0.1129420017763324, 0.23592148648212907, 0.0813320464825408,
-      -0.1785769845559967,
-    ],
-    [
-      -0.1129420017763324, 0.23592148648212907, 0.11398618191544407,
-      0.15972411067365544,
-    ],
-    [
-      -0.1129420017763324, 0.23592148648212907, 0.19323943342096372,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1129420017763324, 0.26082838051352275, -0.16137932701364,
-      0.009426436941170603,
-    ],
-    [
-      -0.1129420017763324, 0.26082838051352275, -0.10854382600996021,
-      -0.11979308300524161,
-    ],
-    [
-      -0.1129420017763324, 0.26082838051352275, -0.04947194007521703,
-      0.15389825225120446,
-    ],
-    [
-      -0.1129420017763324, 0.26082838051352275, 0.07252612964859417,
-      -0.14447181531003384,
-    ],
-    [
-      -0.1129420017763324, 0.26082838051352275, 0.08885319736504582,
-      0.1350453783688632,
-    ],
-    [
-      -0.1129420017763324, 0.26082838051352275, 0.15801576608517726,
-      -0.03410516924596284,
-    ],
-    [
-      -0.1129420017763324, 0.2916149946447092, -0.08677440238802467,
-      0.03993102766841386,
-    ],
-    [
-      -0.1129420017763324, 0.2916149946447092, -0.06035665188618479,
-      0.07403619691437671,
-    ],
-    [
-      -0.1129420017763324, 0.2916149946447092, -0.0339389013843449,
-      -0.08928849227799834,
-    ],
-    [
-      -0.1129420017763324, 0.2916149946447092, 0.00880591683394663,
-      -0.09511435070044935,
-    ],
-    [
-      -0.1129420017763324, 0.2916149946447092, 0.07796848555407804,
-      0.05518332303203549,
-    ],
-    [
-      -0.1129420017763324, 0.2916149946447092, 0.09429555327052969,
-      0.015252295363621632,
-    ],
-    [
-      -0.10470299378283662, -0.29637178812760945, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      -0.10470299378283662, -0.29637178812760945, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      -0.10470299378283662, -0.29637178812760945, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      -0.10470299378283662, -0.2809784810620163, -0.10310147010447632,
-      0.07986205533682772,
-    ],
-    [
-      -0.10470299378283662, -0.2809784810620163, -0.01761183366789326,
-      -0.12921951994641218,
-    ],
-    [
-      -0.10470299378283662, -0.2809784810620163, 0.12071330377236958,
-      0.04935746460958447,
-    ],
-    [
-      -0.10470299378283662, -0.19086449190224186, -0.23054189573377137,
-      0.07986205533682772,
-    ],
-    [
-      -0.10470299378283662, -0.19086449190224186, -0.13496157651180007,
-      0.20325571686078892,
-    ],
-    [
-      -0.10470299378283662, -0.19086449190224186, -0.10854382600996021,
-      -0.21850801222441052,
-    ],
-    [
-      -0.10470299378283662, -0.19086449190224186, 0.04610837914675428,
-      -0.23958616601048321,
-    ],
-    [
-      -0.10470299378283662, -0.19086449190224186, 0.18443351658701712,
-      0.15972411067365544,
-    ],
-    [
-      -0.10470299378283662, -0.19086449190224186, 0.24350540252176028,
-      0.015252295363621632,
-    ],
-    [
-      -0.10470299378283662, -0.16595759787084807, -0.2556748802841696,
-      0.05518332303203549,
-    ],
-    [
-      -0.10470299378283662, -0.16595759787084807, -0.14376749334574673,
-      -0.21850801222441052,
-    ],
-    [
-      -0.10470299378283662, -0.16595759787084807, -0.11734974284390684,
-      0.23376030758803218,
-    ],
-    [
-      -0.10470299378283662, -0.16595759787084807, 0.08004728053109919,
-      -0.24901260295165378,
-    ],
-    [
-      -0.10470299378283662, -0.16595759787084807, 0.17562759975307046,
-      0.1938292799196183,
-    ],
-    [
-      -0.10470299378283662, -0.16595759787084807, 0.26111723618965355,
-      -0.015252295363621632,
-    ],
-    [
-      -0.10470299378283662, -0.11026408970826793, -0.27536550892908407,
-      -0.08928849227799834,
-    ],
-    [
-      -0.10470299378283662, -0.11026408970826793, -0.2590384412126324,
-      -0.12921951994641218,
-    ],
-    [
-      -0.10470299378283662, -0.11026408970826793, 0.01761183366789326,
-      0.28894363062006767,
-    ],
-    [
-      -0.10470299378283662, -0.11026408970826793, 0.06035665188618479,
-      0.28311777219761664,
-    ],
-    [
-      -0.10470299378283662, -0.11026408970826793, 0.2150088570428993,
-      -0.1938292799196183,
-    ],
-    [
-      -0.10470299378283662, -0.11026408970826793, 0.24142660754473916,
-      -0.15972411067365544,
-    ],
-    [
-      -0.10470299378283662, -0.020150100548493477, -0.3072256153364078,
-      0.03410516924596284,
-    ],
-    [
-      -0.10470299378283662, -0.020150100548493477, -0.1953182283979849,
-      -0.23958616601048321,
-    ],
-    [
-      -0.10470299378283662, -0.020150100548493477, -0.10982859196140182,
-      0.28894363062006767,
-    ],
-    [
-      -0.10470299378283662, -0.020150100548493477, 0.12407686470083232,
-      -0.28311777219761664,
-    ],
-    [
-      -0.10470299378283662, -0.020150100548493477, 0.1831487506355755,
-      0.24901260295165378,
-    ],
-    [
-      -0.10470299378283662, -0.020150100548493477, 0.3051468203593867,
-      -0.04935746460958447,
-    ],
-    [
-      -0.10470299378283662, 0.020150100548493477, -0.3051468203593867,
-      0.04935746460958447,
-    ],
-    [
-      -0.10470299378283662, 0.020150100548493477, -0.1831487506355755,
-      -0.24901260295165378,
-    ],
-    [
-      -0.10470299378283662, 0.020150100548493477, -0.12407686470083232,
-      0.28311777219761664,
-    ],
-    [
-      -0.10470299378283662, 0.020150100548493477, 0.10982859196140182,
-      -0.28894363062006767,
-    ],
-    [
-      -0.10470299378283662, 0.020150100548493477, 0.1953182283979849,
-      0.23958616601048321,
-    ],
-    [
-      -0.10470299378283662, 0.020150100548493477, 0.3072256153364078,
-      -0.03410516924596284,
-    ],
-    [
-      -0.10470299378283662, 0.11026408970826793, -0.24142660754473916,
-      0.15972411067365544,
-    ],
-    [
-      -0.10470299378283662, 0.11026408970826793, -0.2150088570428993,
-      0.1938292799196183,
-    ],
-    [
-      -0.10470299378283662, 0.11026408970826793, -0.06035665188618479,
-      -0.28311777219761664,
-    ],
-    [
-      -0.10470299378283662, 0.11026408970826793, -0.01761183366789326,
-      -0.28894363062006767,
-    ],
-    [
-      -0.10470299378283662, 0.11026408970826793, 0.2590384412126324,
-      0.12921951994641218,
-    ],
-    [
-      -0.10470299378283662, 0.11026408970826793, 0.27536550892908407,
-      0.08928849227799834,
-    ],
-    [
-      -0.10470299378283662, 0.16595759787084807, -0.26111723618965355,
-      0.015252295363621632,
-    ],
-    [
-      -0.10470299378283662, 0.16595759787084807, -0.17562759975307046,
-      -0.1938292799196183,
-    ],
-    [
-      -0.10470299378283662, 0.16595759787084807, -0.08004728053109919,
-      0.24901260295165378,
-    ],
-    [
-      -0.10470299378283662, 0.16595759787084807, 0.11734974284390684,
-      -0.23376030758803218,
-    ],
-    [
-      -0.10470299378283662, 0.16595759787084807, 0.14376749334574673,
-      0.21850801222441052,
-    ],
-    [
-      -0.10470299378283662, 0.16595759787084807, 0.2556748802841696,
-      -0.05518332303203549,
-    ],
-    [
-      -0.10470299378283662, 0.19086449190224186, -0.24350540252176028,
-      -0.015252295363621632,
-    ],
-    [
-      -0.10470299378283662, 0.19086449190224186, -0.18443351658701712,
-      -0.15972411067365544,
-    ],
-    [
-      -0.10470299378283662, 0.19086449190224186, -0.04610837914675428,
-      0.23958616601048321,
-    ],
-    [
-      -0.10470299378283662, 0.19086449190224186, 0.10854382600996021,
-      0.21850801222441052,
-    ],
-    [
-      -0.10470299378283662, 0.19086449190224186, 0.13496157651180007,
-      -0.20325571686078892,
-    ],
-    [
-      -0.10470299378283662, 0.19086449190224186, 0.23054189573377137,
-      -0.07986205533682772,
-    ],
-    [
-      -0.10470299378283662, 0.2809784810620163, -0.12071330377236958,
-      -0.04935746460958447,
-    ],
-    [
-      -0.10470299378283662, 0.2809784810620163, 0.01761183366789326,
-      0.12921951994641218,
-    ],
-    [
-      -0.10470299378283662, 0.2809784810620163, 0.10310147010447632,
-      -0.07986205533682772,
-    ],
-    [
-      -0.10470299378283662, 0.29637178812760945, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      -0.10470299378283662, 0.29637178812760945, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      -0.10470299378283662, 0.29637178812760945, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.0913719988157784, -0.30406844166040614, -0.07668371960263642,
-      0.015252295363621632,
-    ],
-    [
-      -0.0913719988157784, -0.30406844166040614, -0.04402958416973315,
-      -0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, -0.30406844166040614, -0.0339389013843449,
-      0.07043561839565712,
-    ],
-    [
-      -0.0913719988157784, -0.30406844166040614, 0.025132984550398273,
-      -0.07403619691437671,
-    ],
-    [
-      -0.0913719988157784, -0.30406844166040614, 0.05155073505223816,
-      0.05878390155075507,
-    ],
-    [
-      -0.0913719988157784, -0.30406844166040614, 0.07796848555407804,
-      -0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, -0.2732818275292197, -0.140403932417284,
-      0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, -0.2732818275292197, -0.09765911419899245,
-      0.11979308300524161,
-    ],
-    [
-      -0.0913719988157784, -0.2732818275292197, -0.05491429598070091,
-      -0.14447181531003384,
-    ],
-    [
-      -0.0913719988157784, -0.2732818275292197, 0.01424827273943051,
-      -0.15389825225120446,
-    ],
-    [
-      -0.0913719988157784, -0.2732818275292197, 0.12615565967785347,
-      0.08928849227799834,
-    ],
-    [
-      -0.0913719988157784, -0.2732818275292197, 0.15257341017969334,
-      0.024678732304792235,
-    ],
-    [
-      -0.0913719988157784, -0.22346803946643218, -0.210851267088857,
-      0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, -0.22346803946643218, -0.11527094786688569,
-      0.18800342149716726,
-    ],
-    [
-      -0.0913719988157784, -0.22346803946643218, -0.10518026508149744,
-      -0.1938292799196183,
-    ],
-    [
-      -0.0913719988157784, -0.22346803946643218, 0.04947194007521703,
-      -0.21490743370569096,
-    ],
-    [
-      -0.0913719988157784, -0.22346803946643218, 0.16137932701364,
-      0.15029767373248487,
-    ],
-    [
-      -0.0913719988157784, -0.22346803946643218, 0.22045121294838316,
-      0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, -0.18316783836944522, -0.2250995398282875,
-      0.11979308300524161,
-    ],
-    [
-      -0.0913719988157784, -0.18316783836944522, -0.17226403882460772,
-      0.18800342149716726,
-    ],
-    [
-      -0.0913719988157784, -0.18316783836944522, -0.07668371960263642,
-      -0.24318674452920275,
-    ],
-    [
-      -0.0913719988157784, -0.18316783836944522, 0.00880591683394663,
-      -0.2548384613741048,
-    ],
-    [
-      -0.0913719988157784, -0.18316783836944522, 0.2162936229943409,
-      0.1350453783688632,
-    ],
-    [
-      -0.0913719988157784, -0.18316783836944522, 0.24894775842724415,
-      0.05518332303203549,
-    ],
-    [
-      -0.0913719988157784, -0.1736542514036447, -0.26111723618965355,
-      0.015252295363621632,
-    ],
-    [
-      -0.0913719988157784, -0.1736542514036447, -0.17562759975307046,
-      -0.1938292799196183,
-    ],
-    [
-      -0.0913719988157784, -0.1736542514036447, -0.08004728053109919,
-      0.24901260295165378,
-    ],
-    [
-      -0.0913719988157784, -0.1736542514036447, 0.11734974284390684,
-      -0.23376030758803218,
-    ],
-    [
-      -0.0913719988157784, -0.1736542514036447, 0.14376749334574673,
-      0.21850801222441052,
-    ],
-    [
-      -0.0913719988157784, -0.1736542514036447, 0.2556748802841696,
-      -0.05518332303203549,
-    ],
-    [
-      -0.0913719988157784, -0.14286763727245827, -0.2720019480006213,
-      -0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, -0.14286763727245827, -0.23934781256771803,
-      -0.14447181531003384,
-    ],
-    [
-      -0.0913719988157784, -0.14286763727245827, -0.00544235590548388,
-      0.27951719367889705,
-    ],
-    [
-      -0.0913719988157784, -0.14286763727245827, 0.08004728053109919,
-      0.267865476833995,
-    ],
-    [
-      -0.0913719988157784, -0.14286763727245827, 0.1919546674695221,
-      -0.20325571686078892,
-    ],
-    [
-      -0.0913719988157784, -0.14286763727245827, 0.2447901684732019,
-      -0.1350453783688632,
-    ],
-    [
-      -0.0913719988157784, -0.13335405030665776, -0.27536550892908407,
-      0.07043561839565712,
-    ],
-    [
-      -0.0913719988157784, -0.13335405030665776, -0.14713105427420947,
-      -0.24318674452920275,
-    ],
-    [
-      -0.0913719988157784, -0.13335405030665776, -0.1370403714888212,
-      0.24901260295165378,
-    ],
-    [
-      -0.0913719988157784, -0.13335405030665776, 0.07668371960263642,
-      -0.27369133525644607,
-    ],
-    [
-      -0.0913719988157784, -0.13335405030665776, 0.19868178932644764,
-      0.20325571686078892,
-    ],
-    [
-      -0.0913719988157784, -0.13335405030665776, 0.28417142576303067,
-      -0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, -0.07766054214407755, -0.2950561375739984,
-      -0.07403619691437671,
-    ],
-    [
-      -0.0913719988157784, -0.07766054214407755, -0.2624020021410952,
-      -0.15389825225120446,
-    ],
-    [
-      -0.0913719988157784, -0.07766054214407755, -0.0020787949770211325,
-      0.3041959259836893,
-    ],
-    [
-      -0.0913719988157784, -0.07766054214407755, 0.08341084145956193,
-      0.2925442091387872,
-    ],
-    [
-      -0.0913719988157784, -0.07766054214407755, 0.2116452961144365,
-      -0.21850801222441052,
-    ],
-    [
-      -0.0913719988157784, -0.07766054214407755, 0.26448079711811634,
-      -0.15029767373248487,
-    ],
-    [
-      -0.0913719988157784, -0.052753648112683835, -0.3038620544079451,
-      0.05878390155075507,
-    ],
-    [
-      -0.0913719988157784, -0.052753648112683835, -0.17562759975307046,
-      -0.2548384613741048,
-    ],
-    [
-      -0.0913719988157784, -0.052753648112683835, -0.13288278153477895,
-      0.27951719367889705,
-    ],
-    [
-      -0.0913719988157784, -0.052753648112683835, 0.10102267512745519,
-      -0.2925442091387872,
-    ],
-    [
-      -0.0913719988157784, -0.052753648112683835, 0.2028393792804899,
-      0.23376030758803218,
-    ],
-    [
-      -0.0913719988157784, -0.052753648112683835, 0.30851038128784947,
-      -0.024678732304792235,
-    ],
-    [
-      -0.0913719988157784, -0.027846754081290087, -0.3126679712418917,
-      -0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, -0.027846754081290087, -0.22717833480530863,
-      -0.21490743370569096,
-    ],
-    [
-      -0.0913719988157784, -0.027846754081290087, -0.07252612964859417,
-      0.3041959259836893,
-    ],
-    [
-      -0.0913719988157784, -0.027846754081290087, 0.15128864422825172,
-      0.27369133525644607,
-    ],
-    [
-      -0.0913719988157784, -0.027846754081290087, 0.16137932701364,
-      -0.267865476833995,
-    ],
-    [
-      -0.0913719988157784, -0.027846754081290087, 0.29970446445390286,
-      -0.08928849227799834,
-    ],
-    [
-      -0.0913719988157784, 0.027846754081290087, -0.29970446445390286,
-      0.08928849227799834,
-    ],
-    [
-      -0.0913719988157784, 0.027846754081290087, -0.16137932701364,
-      0.267865476833995,
-    ],
-    [
-      -0.0913719988157784, 0.027846754081290087, -0.15128864422825172,
-      -0.27369133525644607,
-    ],
-    [
-      -0.0913719988157784, 0.027846754081290087, 0.07252612964859417,
-      -0.3041959259836893,
-    ],
-    [
-      -0.0913719988157784, 0.027846754081290087, 0.22717833480530863,
-      0.21490743370569096,
-    ],
-    [
-      -0.0913719988157784, 0.027846754081290087, 0.3126679712418917,
-      0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, 0.052753648112683835, -0.30851038128784947,
-      0.024678732304792235,
-    ],
-    [
-      -0.0913719988157784, 0.052753648112683835, -0.2028393792804899,
-      -0.23376030758803218,
-    ],
-    [
-      -0.0913719988157784, 0.052753648112683835, -0.10102267512745519,
-      0.2925442091387872,
-    ],
-    [
-      -0.0913719988157784, 0.052753648112683835, 0.13288278153477895,
-      -0.27951719367889705,
-    ],
-    [
-      -0.0913719988157784, 0.052753648112683835, 0.17562759975307046,
-      0.2548384613741048,
-    ],
-    [
-      -0.0913719988157784, 0.052753648112683835, 0.3038620544079451,
-      -0.05878390155075507,
-    ],
-    [
-      -0.0913719988157784, 0.07766054214407755, -0.26448079711811634,
-      0.15029767373248487,
-    ],
-    [
-      -0.0913719988157784, 0.07766054214407755, -0.2116452961144365,
-      0.21850801222441052,
-    ],
-    [
-      -0.0913719988157784, 0.07766054214407755, -0.08341084145956193,
-      -0.2925442091387872,
-    ],
-    [
-      -0.0913719988157784, 0.07766054214407755, 0.0020787949770211325,
-      -0.3041959259836893,
-    ],
-    [
-      -0.0913719988157784, 0.07766054214407755, 0.2624020021410952,
-      0.15389825225120446,
-    ],
-    [
-      -0.0913719988157784, 0.07766054214407755, 0.2950561375739984,
-      0.07403619691437671,
-    ],
-    [
-      -0.0913719988157784, 0.13335405030665776, -0.28417142576303067,
-      0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, 0.13335405030665776, -0.19868178932644764,
-      -0.20325571686078892,
-    ],
-    [
-      -0.0913719988157784, 0.13335405030665776, -0.07668371960263642,
-      0.27369133525644607,
-    ],
-    [
-      -0.0913719988157784, 0.13335405030665776, 0.1370403714888212,
-      -0.24901260295165378,
-    ],
-    [
-      -0.0913719988157784, 0.13335405030665776, 0.14713105427420947,
-      0.24318674452920275,
-    ],
-    [
-      -0.0913719988157784, 0.13335405030665776, 0.27536550892908407,
-      -0.07043561839565712,
-    ],
-    [
-      -0.0913719988157784, 0.14286763727245827, -0.2447901684732019,
-      0.1350453783688632,
-    ],
-    [
-      -0.0913719988157784, 0.14286763727245827, -0.1919546674695221,
-      0.20325571686078892,
-    ],
-    [
-      -0.0913719988157784, 0.14286763727245827, -0.08004728053109919,
-      -0.267865476833995,
-    ],
-    [
-      -0.0913719988157784, 0.14286763727245827, 0.00544235590548388,
-      -0.27951719367889705,
-    ],
-    [
-      -0.0913719988157784, 0.14286763727245827, 0.23934781256771803,
-      0.14447181531003384,
-    ],
-    [
-      -0.0913719988157784, 0.14286763727245827, 0.2720019480006213,
-      0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, 0.1736542514036447, -0.2556748802841696,
-      0.05518332303203549,
-    ],
-    [
-      -0.0913719988157784, 0.1736542514036447, -0.14376749334574673,
-      -0.21850801222441052,
-    ],
-    [
-      -0.0913719988157784, 0.1736542514036447, -0.11734974284390684,
-      0.23376030758803218,
-    ],
-    [
-      -0.0913719988157784, 0.1736542514036447, 0.08004728053109919,
-      -0.24901260295165378,
-    ],
-    [
-      -0.0913719988157784, 0.1736542514036447, 0.17562759975307046,
-      0.1938292799196183,
-    ],
-    [
-      -0.0913719988157784, 0.1736542514036447, 0.26111723618965355,
-      -0.015252295363621632,
-    ],
-    [
-      -0.0913719988157784, 0.18316783836944522, -0.24894775842724415,
-      -0.05518332303203549,
-    ],
-    [
-      -0.0913719988157784, 0.18316783836944522, -0.2162936229943409,
-      -0.1350453783688632,
-    ],
-    [
-      -0.0913719988157784, 0.18316783836944522, -0.00880591683394663,
-      0.2548384613741048,
-    ],
-    [
-      -0.0913719988157784, 0.18316783836944522, 0.07668371960263642,
-      0.24318674452920275,
-    ],
-    [
-      -0.0913719988157784, 0.18316783836944522, 0.17226403882460772,
-      -0.18800342149716726,
-    ],
-    [
-      -0.0913719988157784, 0.18316783836944522, 0.2250995398282875,
-      -0.11979308300524161,
-    ],
-    [
-      -0.0913719988157784, 0.22346803946643218, -0.22045121294838316,
-      -0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, 0.22346803946643218, -0.16137932701364,
-      -0.15029767373248487,
-    ],
-    [
-      -0.0913719988157784, 0.22346803946643218, -0.04947194007521703,
-      0.21490743370569096,
-    ],
-    [
-      -0.0913719988157784, 0.22346803946643218, 0.10518026508149744,
-      0.1938292799196183,
-    ],
-    [
-      -0.0913719988157784, 0.22346803946643218, 0.11527094786688569,
-      -0.18800342149716726,
-    ],
-    [
-      -0.0913719988157784, 0.22346803946643218, 0.210851267088857,
-      -0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, 0.2732818275292197, -0.15257341017969334,
-      -0.024678732304792235,
-    ],
-    [
-      -0.0913719988157784, 0.2732818275292197, -0.12615565967785347,
-      -0.08928849227799834,
-    ],
-    [
-      -0.0913719988157784, 0.2732818275292197, -0.01424827273943051,
-      0.15389825225120446,
-    ],
-    [
-      -0.0913719988157784, 0.2732818275292197, 0.05491429598070091,
-      0.14447181531003384,
-    ],
-    [
-      -0.0913719988157784, 0.2732818275292197, 0.09765911419899245,
-      -0.11979308300524161,
-    ],
-    [
-      -0.0913719988157784, 0.2732818275292197, 0.140403932417284,
-      -0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, 0.30406844166040614, -0.07796848555407804,
-      0.005825858422451027,
-    ],
-    [
-      -0.0913719988157784, 0.30406844166040614, -0.05155073505223816,
-      -0.05878390155075507,
-    ],
-    [
-      -0.0913719988157784, 0.30406844166040614, -0.025132984550398273,
-      0.07403619691437671,
-    ],
-    [
-      -0.0913719988157784, 0.30406844166040614, 0.0339389013843449,
-      -0.07043561839565712,
-    ],
-    [
-      -0.0913719988157784, 0.30406844166040614, 0.04402958416973315,
-      0.06460975997320609,
-    ],
-    [
-      -0.0913719988157784, 0.30406844166040614, 0.07668371960263642,
-      -0.015252295363621632,
-    ],
-    [-0.07804100384872018, -0.29637178812760945, -0.11398618191544407, 0.0],
-    [
-      -0.07804100384872018, -0.29637178812760945, -0.0813320464825408,
-      -0.07986205533682772,
-    ],
-    [
-      -0.07804100384872018, -0.29637178812760945, -0.02849654547886102,
-      0.11036664606407098,
-    ],
-    [
-      -0.07804100384872018, -0.29637178812760945, 0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, -0.29637178812760945, 0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, -0.29637178812760945, 0.10982859196140182,
-      -0.030504590727243264,
-    ],
-    [
-      -0.07804100384872018, -0.2809784810620163, -0.14584628832276786,
-      0.024678732304792235,
-    ],
-    [
-      -0.07804100384872018, -0.2809784810620163, -0.08677440238802467,
-      -0.11979308300524161,
-    ],
-    [
-      -0.07804100384872018, -0.2809784810620163, -0.06035665188618479,
-      0.1350453783688632,
-    ],
-    [
-      -0.07804100384872018, -0.2809784810620163, 0.05155073505223816,
-      -0.1386459568875828,
-    ],
-    [
-      -0.07804100384872018, -0.2809784810620163, 0.09429555327052969,
-      0.11396722458279057,
-    ],
-    [
-      -0.07804100384872018, -0.2809784810620163, 0.14713105427420947,
-      -0.015252295363621632,
-    ],
-    [
-      -0.07804100384872018, -0.23116469299922882, -0.2162936229943409,
-      0.024678732304792235,
-    ],
-    [
-      -0.07804100384872018, -0.23116469299922882, -0.1370403714888212,
-      -0.16915054761482606,
-    ],
-    [
-      -0.07804100384872018, -0.23116469299922882, -0.07796848555407804,
-      0.20325571686078892,
-    ],
-    [
-      -0.07804100384872018, -0.23116469299922882, 0.08677440238802467,
-      -0.19965513834206933,
-    ],
-    [
-      -0.07804100384872018, -0.23116469299922882, 0.1295192206063162,
-      0.1749764060372771,
-    ],
-    [
-      -0.07804100384872018, -0.23116469299922882, 0.2150088570428993,
-      -0.03410516924596284,
-    ],
-    [-0.07804100384872018, -0.20625779896783508, -0.24142660754473916, 0.0],
-    [
-      -0.07804100384872018, -0.20625779896783508, -0.17226403882460772,
-      -0.16915054761482606,
-    ],
-    [
-      -0.07804100384872018, -0.20625779896783508, -0.06035665188618479,
-      0.23376030758803218,
-    ],
-    [
-      -0.07804100384872018, -0.20625779896783508, 0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, -0.20625779896783508, 0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, -0.20625779896783508, 0.23262069071079255,
-      -0.06460975997320609,
-    ],
-    [
-      -0.07804100384872018, -0.17547118483664864, -0.25231131935570694,
-      -0.07986205533682772,
-    ],
-    [
-      -0.07804100384872018, -0.17547118483664864, -0.2359842516392553,
-      -0.11979308300524161,
-    ],
-    [
-      -0.07804100384872018, -0.17547118483664864, 0.01424827273943051,
-      0.26426489831527544,
-    ],
-    [
-      -0.07804100384872018, -0.17547118483664864, 0.05699309095772204,
-      0.25843903989282435,
-    ],
-    [
-      -0.07804100384872018, -0.17547118483664864, 0.1953182283979849,
-      -0.1785769845559967,
-    ],
-    [
-      -0.07804100384872018, -0.17547118483664864, 0.22173597889982477,
-      -0.14447181531003384,
-    ],
-    [
-      -0.07804100384872018, -0.15056429080525485, -0.2447901684732019,
-      0.1350453783688632,
-    ],
-    [
-      -0.07804100384872018, -0.15056429080525485, -0.1919546674695221,
-      0.20325571686078892,
-    ],
-    [
-      -0.07804100384872018, -0.15056429080525485, -0.08004728053109919,
-      -0.267865476833995,
-    ],
-    [
-      -0.07804100384872018, -0.15056429080525485, 0.00544235590548388,
-      -0.27951719367889705,
-    ],
-    [
-      -0.07804100384872018, -0.15056429080525485, 0.23934781256771803,
-      0.14447181531003384,
-    ],
-    [
-      -0.07804100384872018, -0.15056429080525485, 0.2720019480006213,
-      0.06460975997320609,
-    ],
-    [
-      -0.07804100384872018, -0.12565739677386112, -0.26992315302360015,
-      0.11036664606407098,
-    ],
-    [
-      -0.07804100384872018, -0.12565739677386112, -0.17434283380162885,
-      0.23376030758803218,
-    ],
-    [
-      -0.07804100384872018, -0.12565739677386112, -0.11527094786688569,
-      -0.267865476833995,
-    ],
-    [
-      -0.07804100384872018, -0.12565739677386112, 0.03938125728982878,
-      -0.28894363062006767,
-    ],
-    [
-      -0.07804100384872018, -0.12565739677386112, 0.23054189573377137,
-      0.1785769845559967,
-    ],
-    [
-      -0.07804100384872018, -0.12565739677386112, 0.2896137816685146,
-      0.03410516924596284,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, -0.2984196985024612,
-      -0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, -0.2984196985024612,
-      0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, -0.28209263078600955,
-      -0.1386459568875828,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, -0.1701852438475866,
-      0.26426489831527544,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, -0.14376749334574673,
-      -0.27951719367889705,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.020975394596356008,
-      0.3136223629248599,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.06372021281464754,
-      -0.3077965045024089,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.06372021281464754,
-      0.3077965045024089,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.23469948568781368,
-      -0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.23469948568781368,
-      0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.26111723618965355,
-      -0.1749764060372771,
-    ],
-    [
-      -0.07804100384872018, -0.045056994579887225, 0.3139527371933333,
-      0.015252295363621632,
-    ],
-    [
-      -0.07804100384872018, -0.0047567934829002585, -0.29634090352544007,
-      0.11396722458279057,
-    ],
-    [
-      -0.07804100384872018, -0.0047567934829002585, -0.18443351658701712,
-      0.25843903989282435,
-    ],
-    [
-      -0.07804100384872018, -0.0047567934829002585, -0.13159801558333734,
-      -0.28894363062006767,
-    ],
-    [
-      -0.07804100384872018, -0.0047567934829002585, 0.04947194007521703,
-      -0.3136223629248599,
-    ],
-    [
-      -0.07804100384872018, -0.0047567934829002585, 0.24686896345022302,
-      0.19965513834206933,
-    ],
-    [
-      -0.07804100384872018, -0.0047567934829002585, 0.3160315321703545,
-      0.030504590727243264,
-    ],
-    [
-      -0.07804100384872018, 0.0047567934829002585, -0.3160315321703545,
-      -0.030504590727243264,
-    ],
-    [
-      -0.07804100384872018, 0.0047567934829002585, -0.24686896345022302,
-      -0.19965513834206933,
-    ],
-    [
-      -0.07804100384872018, 0.0047567934829002585, -0.04947194007521703,
-      0.3136223629248599,
-    ],
-    [
-      -0.07804100384872018, 0.0047567934829002585, 0.13159801558333734,
-      0.28894363062006767,
-    ],
-    [
-      -0.07804100384872018, 0.0047567934829002585, 0.18443351658701712,
-      -0.25843903989282435,
-    ],
-    [
-      -0.07804100384872018, 0.0047567934829002585, 0.29634090352544007,
-      -0.11396722458279057,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.3139527371933333,
-      -0.015252295363621632,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.26111723618965355,
-      0.1749764060372771,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.23469948568781368,
-      -0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.23469948568781368,
-      0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.06372021281464754,
-      -0.3077965045024089,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.06372021281464754,
-      0.3077965045024089,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, -0.020975394596356008,
-      -0.3136223629248599,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, 0.14376749334574673,
-      0.27951719367889705,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, 0.1701852438475866,
-      -0.26426489831527544,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, 0.28209263078600955,
-      0.1386459568875828,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, 0.2984196985024612,
-      -0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, 0.045056994579887225, 0.2984196985024612,
-      0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, 0.12565739677386112, -0.2896137816685146,
-      -0.03410516924596284,
-    ],
-    [
-      -0.07804100384872018, 0.12565739677386112, -0.23054189573377137,
-      -0.1785769845559967,
-    ],
-    [
-      -0.07804100384872018, 0.12565739677386112, -0.03938125728982878,
-      0.28894363062006767,
-    ],
-    [
-      -0.07804100384872018, 0.12565739677386112, 0.11527094786688569,
-      0.267865476833995,
-    ],
-    [
-      -0.07804100384872018, 0.12565739677386112, 0.17434283380162885,
-      -0.23376030758803218,
-    ],
-    [
-      -0.07804100384872018, 0.12565739677386112, 0.26992315302360015,
-      -0.11036664606407098,
-    ],
-    [
-      -0.07804100384872018, 0.15056429080525485, -0.2720019480006213,
-      -0.06460975997320609,
-    ],
-    [
-      -0.07804100384872018, 0.15056429080525485, -0.23934781256771803,
-      -0.14447181531003384,
-    ],
-    [
-      -0.07804100384872018, 0.15056429080525485, -0.00544235590548388,
-      0.27951719367889705,
-    ],
-    [
-      -0.07804100384872018, 0.15056429080525485, 0.08004728053109919,
-      0.267865476833995,
-    ],
-    [
-      -0.07804100384872018, 0.15056429080525485, 0.1919546674695221,
-      -0.20325571686078892,
-    ],
-    [
-      -0.07804100384872018, 0.15056429080525485, 0.2447901684732019,
-      -0.1350453783688632,
-    ],
-    [
-      -0.07804100384872018, 0.17547118483664864, -0.22173597889982477,
-      0.14447181531003384,
-    ],
-    [
-      -0.07804100384872018, 0.17547118483664864, -0.1953182283979849,
-      0.1785769845559967,
-    ],
-    [
-      -0.07804100384872018, 0.17547118483664864, -0.05699309095772204,
-      -0.25843903989282435,
-    ],
-    [
-      -0.07804100384872018, 0.17547118483664864, -0.01424827273943051,
-      -0.26426489831527544,
-    ],
-    [
-      -0.07804100384872018, 0.17547118483664864, 0.2359842516392553,
-      0.11979308300524161,
-    ],
-    [
-      -0.07804100384872018, 0.17547118483664864, 0.25231131935570694,
-      0.07986205533682772,
-    ],
-    [
-      -0.07804100384872018, 0.20625779896783508, -0.23262069071079255,
-      0.06460975997320609,
-    ],
-    [
-      -0.07804100384872018, 0.20625779896783508, -0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, 0.20625779896783508, -0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      -0.07804100384872018, 0.20625779896783508, 0.06035665188618479,
-      -0.23376030758803218,
-    ],
-    [
-      -0.07804100384872018, 0.20625779896783508, 0.17226403882460772,
-      0.16915054761482606,
-    ],
-    [-0.07804100384872018, 0.20625779896783508, 0.24142660754473916, 0.0],
-    [
-      -0.07804100384872018, 0.23116469299922882, -0.2150088570428993,
-      0.03410516924596284,
-    ],
-    [
-      -0.07804100384872018, 0.23116469299922882, -0.1295192206063162,
-      -0.1749764060372771,
-    ],
-    [
-      -0.07804100384872018, 0.23116469299922882, -0.08677440238802467,
-      0.19965513834206933,
-    ],
-    [
-      -0.07804100384872018, 0.23116469299922882, 0.07796848555407804,
-      -0.20325571686078892,
-    ],
-    [
-      -0.07804100384872018, 0.23116469299922882, 0.1370403714888212,
-      0.16915054761482606,
-    ],
-    [
-      -0.07804100384872018, 0.23116469299922882, 0.2162936229943409,
-      -0.024678732304792235,
-    ],
-    [
-      -0.07804100384872018, 0.2809784810620163, -0.14713105427420947,
-      0.015252295363621632,
-    ],
-    [
-      -0.07804100384872018, 0.2809784810620163, -0.09429555327052969,
-      -0.11396722458279057,
-    ],
-    [
-      -0.07804100384872018, 0.2809784810620163, -0.05155073505223816,
-      0.1386459568875828,
-    ],
-    [
-      -0.07804100384872018, 0.2809784810620163, 0.06035665188618479,
-      -0.1350453783688632,
-    ],
-    [
-      -0.07804100384872018, 0.2809784810620163, 0.08677440238802467,
-      0.11979308300524161,
-    ],
-    [
-      -0.07804100384872018, 0.2809784810620163, 0.14584628832276786,
-      -0.024678732304792235,
-    ],
-    [
-      -0.07804100384872018, 0.29637178812760945, -0.10982859196140182,
-      0.030504590727243264,
-    ],
-    [
-      -0.07804100384872018, 0.29637178812760945, -0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, 0.29637178812760945, -0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      -0.07804100384872018, 0.29637178812760945, 0.02849654547886102,
-      -0.11036664606407098,
-    ],
-    [
-      -0.07804100384872018, 0.29637178812760945, 0.0813320464825408,
-      0.07986205533682772,
-    ],
-    [-0.07804100384872018, 0.29637178812760945, 0.11398618191544407, 0.0],
-    [
-      -0.06980199585522442, -0.316521888676103, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, -0.316521888676103, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, -0.316521888676103, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, -0.316521888676103, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, -0.316521888676103, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, -0.316521888676103, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, -0.26082838051352275, -0.15801576608517726,
-      0.09511435070044935,
-    ],
-    [
-      -0.06980199585522442, -0.26082838051352275, -0.13159801558333734,
-      0.12921951994641218,
-    ],
-    [
-      -0.06980199585522442, -0.26082838051352275, -0.04610837914675428,
-      -0.1785769845559967,
-    ],
-    [
-      -0.06980199585522442, -0.26082838051352275, -0.0033635609284627483,
-      -0.18440284297844772,
-    ],
-    [
-      -0.06980199585522442, -0.26082838051352275, 0.16137932701364,
-      0.08928849227799834,
-    ],
-    [
-      -0.06980199585522442, -0.26082838051352275, 0.17770639473009164,
-      0.04935746460958447,
-    ],
-    [
-      -0.06980199585522442, -0.23592148648212907, -0.19323943342096372,
-      0.09511435070044935,
-    ],
-    [
-      -0.06980199585522442, -0.23592148648212907, -0.140403932417284,
-      0.16332468919237503,
-    ],
-    [
-      -0.06980199585522442, -0.23592148648212907, -0.07124136369715256,
-      -0.20325571686078892,
-    ],
-    [
-      -0.06980199585522442, -0.23592148648212907, 0.01424827273943051,
-      -0.21490743370569096,
-    ],
-    [
-      -0.06980199585522442, -0.23592148648212907, 0.17899116068153326,
-      0.11979308300524161,
-    ],
-    [
-      -0.06980199585522442, -0.23592148648212907, 0.2116452961144365,
-      0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, -0.21101459245073534, -0.20204535025491038,
-      0.12921951994641218,
-    ],
-    [
-      -0.06980199585522442, -0.21101459245073534, -0.17562759975307046,
-      0.16332468919237503,
-    ],
-    [
-      -0.06980199585522442, -0.21101459245073534, -0.05362953002925929,
-      -0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, -0.21101459245073534, -0.01088471181096776,
-      -0.23958616601048321,
-    ],
-    [
-      -0.06980199585522442, -0.21101459245073534, 0.2129300620658781,
-      0.11036664606407098,
-    ],
-    [
-      -0.06980199585522442, -0.21101459245073534, 0.22925712978232976,
-      0.07043561839565712,
-    ],
-    [
-      -0.06980199585522442, -0.1458074973223546, -0.28417142576303067,
-      0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, -0.1458074973223546, -0.19868178932644764,
-      -0.20325571686078892,
-    ],
-    [
-      -0.06980199585522442, -0.1458074973223546, -0.07668371960263642,
-      0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, -0.1458074973223546, 0.1370403714888212,
-      -0.24901260295165378,
-    ],
-    [
-      -0.06980199585522442, -0.1458074973223546, 0.14713105427420947,
-      0.24318674452920275,
-    ],
-    [
-      -0.06980199585522442, -0.1458074973223546, 0.27536550892908407,
-      -0.07043561839565712,
-    ],
-    [
-      -0.06980199585522442, -0.13041419025676138, -0.2896137816685146,
-      -0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, -0.13041419025676138, -0.23054189573377137,
-      -0.1785769845559967,
-    ],
-    [
-      -0.06980199585522442, -0.13041419025676138, -0.03938125728982878,
-      0.28894363062006767,
-    ],
-    [
-      -0.06980199585522442, -0.13041419025676138, 0.11527094786688569,
-      0.267865476833995,
-    ],
-    [
-      -0.06980199585522442, -0.13041419025676138, 0.17434283380162885,
-      -0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, -0.13041419025676138, 0.26992315302360015,
-      -0.11036664606407098,
-    ],
-    [
-      -0.06980199585522442, -0.12090060329096089, -0.2929773425969773,
-      0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, -0.12090060329096089, -0.18106995565855438,
-      -0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, -0.12090060329096089, -0.11190738693842295,
-      0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, -0.12090060329096089, 0.11190738693842295,
-      -0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, -0.12090060329096089, 0.18106995565855438,
-      0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, -0.12090060329096089, 0.2929773425969773,
-      -0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, -0.09011398915977445, -0.3038620544079451,
-      -0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, -0.09011398915977445, -0.2447901684732019,
-      -0.18440284297844772,
-    ],
-    [
-      -0.06980199585522442, -0.09011398915977445, -0.03730246231280765,
-      0.3041959259836893,
-    ],
-    [
-      -0.06980199585522442, -0.09011398915977445, 0.11734974284390684,
-      0.28311777219761664,
-    ],
-    [
-      -0.06980199585522442, -0.09011398915977445, 0.18651231156403825,
-      -0.24318674452920275,
-    ],
-    [
-      -0.06980199585522442, -0.09011398915977445, 0.28209263078600955,
-      -0.11979308300524161,
-    ],
-    [
-      -0.06980199585522442, -0.08060040219397391, -0.3072256153364078,
-      0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, -0.08060040219397391, -0.1953182283979849,
-      -0.23958616601048321,
-    ],
-    [
-      -0.06980199585522442, -0.08060040219397391, -0.10982859196140182,
-      0.28894363062006767,
-    ],
-    [
-      -0.06980199585522442, -0.08060040219397391, 0.12407686470083232,
-      -0.28311777219761664,
-    ],
-    [
-      -0.06980199585522442, -0.08060040219397391, 0.1831487506355755,
-      0.24901260295165378,
-    ],
-    [
-      -0.06980199585522442, -0.08060040219397391, 0.3051468203593867,
-      -0.04935746460958447,
-    ],
-    [
-      -0.06980199585522442, -0.06520709512838069, -0.3126679712418917,
-      -0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, -0.06520709512838069, -0.22717833480530863,
-      -0.21490743370569096,
-    ],
-    [
-      -0.06980199585522442, -0.06520709512838069, -0.07252612964859417,
-      0.3041959259836893,
-    ],
-    [
-      -0.06980199585522442, -0.06520709512838069, 0.15128864422825172,
-      0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, -0.06520709512838069, 0.16137932701364,
-      -0.267865476833995,
-    ],
-    [
-      -0.06980199585522442, -0.06520709512838069, 0.29970446445390286,
-      -0.08928849227799834,
-    ],
-    [
-      -0.06980199585522442, 0.06520709512838069, -0.29970446445390286,
-      0.08928849227799834,
-    ],
-    [
-      -0.06980199585522442, 0.06520709512838069, -0.16137932701364,
-      0.267865476833995,
-    ],
-    [
-      -0.06980199585522442, 0.06520709512838069, -0.15128864422825172,
-      -0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, 0.06520709512838069, 0.07252612964859417,
-      -0.3041959259836893,
-    ],
-    [
-      -0.06980199585522442, 0.06520709512838069, 0.22717833480530863,
-      0.21490743370569096,
-    ],
-    [
-      -0.06980199585522442, 0.06520709512838069, 0.3126679712418917,
-      0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, 0.08060040219397391, -0.3051468203593867,
-      0.04935746460958447,
-    ],
-    [
-      -0.06980199585522442, 0.08060040219397391, -0.1831487506355755,
-      -0.24901260295165378,
-    ],
-    [
-      -0.06980199585522442, 0.08060040219397391, -0.12407686470083232,
-      0.28311777219761664,
-    ],
-    [
-      -0.06980199585522442, 0.08060040219397391, 0.10982859196140182,
-      -0.28894363062006767,
-    ],
-    [
-      -0.06980199585522442, 0.08060040219397391, 0.1953182283979849,
-      0.23958616601048321,
-    ],
-    [
-      -0.06980199585522442, 0.08060040219397391, 0.3072256153364078,
-      -0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, 0.09011398915977445, -0.28209263078600955,
-      0.11979308300524161,
-    ],
-    [
-      -0.06980199585522442, 0.09011398915977445, -0.18651231156403825,
-      0.24318674452920275,
-    ],
-    [
-      -0.06980199585522442, 0.09011398915977445, -0.11734974284390684,
-      -0.28311777219761664,
-    ],
-    [
-      -0.06980199585522442, 0.09011398915977445, 0.03730246231280765,
-      -0.3041959259836893,
-    ],
-    [
-      -0.06980199585522442, 0.09011398915977445, 0.2447901684732019,
-      0.18440284297844772,
-    ],
-    [
-      -0.06980199585522442, 0.09011398915977445, 0.3038620544079451,
-      0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, 0.12090060329096089, -0.2929773425969773,
-      0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, 0.12090060329096089, -0.18106995565855438,
-      -0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, 0.12090060329096089, -0.11190738693842295,
-      0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, 0.12090060329096089, 0.11190738693842295,
-      -0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, 0.12090060329096089, 0.18106995565855438,
-      0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, 0.12090060329096089, 0.2929773425969773,
-      -0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, 0.13041419025676138, -0.26992315302360015,
-      0.11036664606407098,
-    ],
-    [
-      -0.06980199585522442, 0.13041419025676138, -0.17434283380162885,
-      0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, 0.13041419025676138, -0.11527094786688569,
-      -0.267865476833995,
-    ],
-    [
-      -0.06980199585522442, 0.13041419025676138, 0.03938125728982878,
-      -0.28894363062006767,
-    ],
-    [
-      -0.06980199585522442, 0.13041419025676138, 0.23054189573377137,
-      0.1785769845559967,
-    ],
-    [
-      -0.06980199585522442, 0.13041419025676138, 0.2896137816685146,
-      0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, 0.1458074973223546, -0.27536550892908407,
-      0.07043561839565712,
-    ],
-    [
-      -0.06980199585522442, 0.1458074973223546, -0.14713105427420947,
-      -0.24318674452920275,
-    ],
-    [
-      -0.06980199585522442, 0.1458074973223546, -0.1370403714888212,
-      0.24901260295165378,
-    ],
-    [
-      -0.06980199585522442, 0.1458074973223546, 0.07668371960263642,
-      -0.27369133525644607,
-    ],
-    [
-      -0.06980199585522442, 0.1458074973223546, 0.19868178932644764,
-      0.20325571686078892,
-    ],
-    [
-      -0.06980199585522442, 0.1458074973223546, 0.28417142576303067,
-      -0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, 0.21101459245073534, -0.22925712978232976,
-      -0.07043561839565712,
-    ],
-    [
-      -0.06980199585522442, 0.21101459245073534, -0.2129300620658781,
-      -0.11036664606407098,
-    ],
-    [
-      -0.06980199585522442, 0.21101459245073534, 0.01088471181096776,
-      0.23958616601048321,
-    ],
-    [
-      -0.06980199585522442, 0.21101459245073534, 0.05362953002925929,
-      0.23376030758803218,
-    ],
-    [
-      -0.06980199585522442, 0.21101459245073534, 0.17562759975307046,
-      -0.16332468919237503,
-    ],
-    [
-      -0.06980199585522442, 0.21101459245073534, 0.20204535025491038,
-      -0.12921951994641218,
-    ],
-    [
-      -0.06980199585522442, 0.23592148648212907, -0.2116452961144365,
-      -0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, 0.23592148648212907, -0.17899116068153326,
-      -0.11979308300524161,
-    ],
-    [
-      -0.06980199585522442, 0.23592148648212907, -0.01424827273943051,
-      0.21490743370569096,
-    ],
-    [
-      -0.06980199585522442, 0.23592148648212907, 0.07124136369715256,
-      0.20325571686078892,
-    ],
-    [
-      -0.06980199585522442, 0.23592148648212907, 0.140403932417284,
-      -0.16332468919237503,
-    ],
-    [
-      -0.06980199585522442, 0.23592148648212907, 0.19323943342096372,
-      -0.09511435070044935,
-    ],
-    [
-      -0.06980199585522442, 0.26082838051352275, -0.17770639473009164,
-      -0.04935746460958447,
-    ],
-    [
-      -0.06980199585522442, 0.26082838051352275, -0.16137932701364,
-      -0.08928849227799834,
-    ],
-    [
-      -0.06980199585522442, 0.26082838051352275, 0.0033635609284627483,
-      0.18440284297844772,
-    ],
-    [
-      -0.06980199585522442, 0.26082838051352275, 0.04610837914675428,
-      0.1785769845559967,
-    ],
-    [
-      -0.06980199585522442, 0.26082838051352275, 0.13159801558333734,
-      -0.12921951994641218,
-    ],
-    [
-      -0.06980199585522442, 0.26082838051352275, 0.15801576608517726,
-      -0.09511435070044935,
-    ],
-    [
-      -0.06980199585522442, 0.316521888676103, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      -0.06980199585522442, 0.316521888676103, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, 0.316521888676103, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, 0.316521888676103, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      -0.06980199585522442, 0.316521888676103, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      -0.06980199585522442, 0.316521888676103, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      -0.04314000592110798, -0.3011285816105097, -0.11734974284390684,
-      -0.024678732304792235,
-    ],
-    [
-      -0.04314000592110798, -0.3011285816105097, -0.10102267512745519,
-      -0.06460975997320609,
-    ],
-    [
-      -0.04314000592110798, -0.3011285816105097, -0.00544235590548388,
-      0.11979308300524161,
-    ],
-    [
-      -0.04314000592110798, -0.3011285816105097, 0.03730246231280765,
-      0.11396722458279057,
-    ],
-    [
-      -0.04314000592110798, -0.3011285816105097, 0.08004728053109919,
-      -0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, -0.3011285816105097, 0.10646503103293906,
-      -0.05518332303203549,
-    ],
-    [
-      -0.04314000592110798, -0.276221687579116, -0.16890047789614498,
-      0.015252295363621632,
-    ],
-    [
-      -0.04314000592110798, -0.276221687579116, -0.10982859196140182,
-      -0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, -0.276221687579116, -0.05699309095772204,
-      0.15972411067365544,
-    ],
-    [
-      -0.04314000592110798, -0.276221687579116, 0.07124136369715256,
-      -0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, -0.276221687579116, 0.09765911419899245,
-      0.1386459568875828,
-    ],
-    [
-      -0.04314000592110798, -0.276221687579116, 0.16682168291912386,
-      -0.030504590727243264,
-    ],
-    [
-      -0.04314000592110798, -0.25131479354772224, -0.2041241452319315,
-      0.015252295363621632,
-    ],
-    [
-      -0.04314000592110798, -0.25131479354772224, -0.13496157651180007,
-      -0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, -0.25131479354772224, -0.06579900779166867,
-      0.1938292799196183,
-    ],
-    [
-      -0.04314000592110798, -0.25131479354772224, 0.08885319736504582,
-      -0.18440284297844772,
-    ],
-    [
-      -0.04314000592110798, -0.25131479354772224, 0.11527094786688569,
-      0.16915054761482606,
-    ],
-    [
-      -0.04314000592110798, -0.25131479354772224, 0.20076058430346877,
-      -0.03993102766841386,
-    ],
-    [
-      -0.04314000592110798, -0.21101459245073534, -0.2447901684732019,
-      -0.024678732304792235,
-    ],
-    [
-      -0.04314000592110798, -0.21101459245073534, -0.1919546674695221,
-      -0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, -0.21101459245073534, -0.03730246231280765,
-      0.24318674452920275,
-    ],
-    [
-      -0.04314000592110798, -0.21101459245073534, 0.10102267512745519,
-      0.22433387064686156,
-    ],
-    [
-      -0.04314000592110798, -0.21101459245073534, 0.14376749334574673,
-      -0.19965513834206933,
-    ],
-    [
-      -0.04314000592110798, -0.21101459245073534, 0.22925712978232976,
-      -0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, -0.19562128538514212, -0.2502325243786858,
-      -0.06460975997320609,
-    ],
-    [
-      -0.04314000592110798, -0.19562128538514212, -0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [-0.04314000592110798, -0.19562128538514212, 0.0, 0.25843903989282435],
-    [
-      -0.04314000592110798, -0.19562128538514212, 0.0691625687201314,
-      0.24901260295165378,
-    ],
-    [
-      -0.04314000592110798, -0.19562128538514212, 0.18106995565855438,
-      -0.18440284297844772,
-    ],
-    [
-      -0.04314000592110798, -0.19562128538514212, 0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, -0.1458074973223546, -0.24142660754473916,
-      0.15972411067365544,
-    ],
-    [
-      -0.04314000592110798, -0.1458074973223546, -0.2150088570428993,
-      0.1938292799196183,
-    ],
-    [
-      -0.04314000592110798, -0.1458074973223546, -0.06035665188618479,
-      -0.28311777219761664,
-    ],
-    [
-      -0.04314000592110798, -0.1458074973223546, -0.01761183366789326,
-      -0.28894363062006767,
-    ],
-    [
-      -0.04314000592110798, -0.1458074973223546, 0.2590384412126324,
-      0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, -0.1458074973223546, 0.27536550892908407,
-      0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, -0.10550729622536767, -0.28209263078600955,
-      0.11979308300524161,
-    ],
-    [
-      -0.04314000592110798, -0.10550729622536767, -0.18651231156403825,
-      0.24318674452920275,
-    ],
-    [
-      -0.04314000592110798, -0.10550729622536767, -0.11734974284390684,
-      -0.28311777219761664,
-    ],
-    [
-      -0.04314000592110798, -0.10550729622536767, 0.03730246231280765,
-      -0.3041959259836893,
-    ],
-    [
-      -0.04314000592110798, -0.10550729622536767, 0.2447901684732019,
-      0.18440284297844772,
-    ],
-    [
-      -0.04314000592110798, -0.10550729622536767, 0.3038620544079451,
-      0.03993102766841386,
-    ],
-    [
-      -0.04314000592110798, -0.06520709512838069, -0.29634090352544007,
-      0.11396722458279057,
-    ],
-    [
-      -0.04314000592110798, -0.06520709512838069, -0.18443351658701712,
-      0.25843903989282435,
-    ],
-    [
-      -0.04314000592110798, -0.06520709512838069, -0.13159801558333734,
-      -0.28894363062006767,
-    ],
-    [
-      -0.04314000592110798, -0.06520709512838069, 0.04947194007521703,
-      -0.3136223629248599,
-    ],
-    [
-      -0.04314000592110798, -0.06520709512838069, 0.24686896345022302,
-      0.19965513834206933,
-    ],
-    [
-      -0.04314000592110798, -0.06520709512838069, 0.3160315321703545,
-      0.030504590727243264,
-    ],
-    [
-      -0.04314000592110798, -0.02490689403139374, -0.3105891762648706,
-      -0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, -0.02490689403139374, -0.28417142576303067,
-      -0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, -0.02490689403139374, 0.00880591683394663,
-      0.3230487998660305,
-    ],
-    [
-      -0.04314000592110798, -0.02490689403139374, 0.07796848555407804,
-      0.3136223629248599,
-    ],
-    [
-      -0.04314000592110798, -0.02490689403139374, 0.23262069071079255,
-      -0.22433387064686156,
-    ],
-    [
-      -0.04314000592110798, -0.02490689403139374, 0.27536550892908407,
-      -0.16915054761482606,
-    ],
-    [-0.04314000592110798, 0.0, -0.3193950930988172, -0.05518332303203549],
-    [-0.04314000592110798, 0.0, -0.2929773425969773, 0.1386459568875828],
-    [-0.04314000592110798, 0.0, -0.26655959209513747, -0.18440284297844772],
-    [-0.04314000592110798, 0.0, -0.20748770616039425, 0.24901260295165378],
-    [-0.04314000592110798, 0.0, -0.11190738693842295, -0.3041959259836893],
-    [-0.04314000592110798, 0.0, -0.02641775050183989, 0.3230487998660305],
-    [-0.04314000592110798, 0.0, 0.02641775050183989, -0.3230487998660305],
-    [-0.04314000592110798, 0.0, 0.11190738693842295, 0.3041959259836893],
-    [-0.04314000592110798, 0.0, 0.20748770616039425, -0.24901260295165378],
-    [-0.04314000592110798, 0.0, 0.26655959209513747, 0.18440284297844772],
-    [-0.04314000592110798, 0.0, 0.2929773425969773, -0.1386459568875828],
-    [-0.04314000592110798, 0.0, 0.3193950930988172, 0.05518332303203549],
-    [
-      -0.04314000592110798, 0.02490689403139374, -0.27536550892908407,
-      0.16915054761482606,
-    ],
-    [
-      -0.04314000592110798, 0.02490689403139374, -0.23262069071079255,
-      0.22433387064686156,
-    ],
-    [
-      -0.04314000592110798, 0.02490689403139374, -0.07796848555407804,
-      -0.3136223629248599,
-    ],
-    [
-      -0.04314000592110798, 0.02490689403139374, -0.00880591683394663,
-      -0.3230487998660305,
-    ],
-    [
-      -0.04314000592110798, 0.02490689403139374, 0.28417142576303067,
-      0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, 0.02490689403139374, 0.3105891762648706,
-      0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, 0.06520709512838069, -0.3160315321703545,
-      -0.030504590727243264,
-    ],
-    [
-      -0.04314000592110798, 0.06520709512838069, -0.24686896345022302,
-      -0.19965513834206933,
-    ],
-    [
-      -0.04314000592110798, 0.06520709512838069, -0.04947194007521703,
-      0.3136223629248599,
-    ],
-    [
-      -0.04314000592110798, 0.06520709512838069, 0.13159801558333734,
-      0.28894363062006767,
-    ],
-    [
-      -0.04314000592110798, 0.06520709512838069, 0.18443351658701712,
-      -0.25843903989282435,
-    ],
-    [
-      -0.04314000592110798, 0.06520709512838069, 0.29634090352544007,
-      -0.11396722458279057,
-    ],
-    [
-      -0.04314000592110798, 0.10550729622536767, -0.3038620544079451,
-      -0.03993102766841386,
-    ],
-    [
-      -0.04314000592110798, 0.10550729622536767, -0.2447901684732019,
-      -0.18440284297844772,
-    ],
-    [
-      -0.04314000592110798, 0.10550729622536767, -0.03730246231280765,
-      0.3041959259836893,
-    ],
-    [
-      -0.04314000592110798, 0.10550729622536767, 0.11734974284390684,
-      0.28311777219761664,
-    ],
-    [
-      -0.04314000592110798, 0.10550729622536767, 0.18651231156403825,
-      -0.24318674452920275,
-    ],
-    [
-      -0.04314000592110798, 0.10550729622536767, 0.28209263078600955,
-      -0.11979308300524161,
-    ],
-    [
-      -0.04314000592110798, 0.1458074973223546, -0.27536550892908407,
-      -0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, 0.1458074973223546, -0.2590384412126324,
-      -0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, 0.1458074973223546, 0.01761183366789326,
-      0.28894363062006767,
-    ],
-    [
-      -0.04314000592110798, 0.1458074973223546, 0.06035665188618479,
-      0.28311777219761664,
-    ],
-    [
-      -0.04314000592110798, 0.1458074973223546, 0.2150088570428993,
-      -0.1938292799196183,
-    ],
-    [
-      -0.04314000592110798, 0.1458074973223546, 0.24142660754473916,
-      -0.15972411067365544,
-    ],
-    [
-      -0.04314000592110798, 0.19562128538514212, -0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, 0.19562128538514212, -0.18106995565855438,
-      0.18440284297844772,
-    ],
-    [
-      -0.04314000592110798, 0.19562128538514212, -0.0691625687201314,
-      -0.24901260295165378,
-    ],
-    [-0.04314000592110798, 0.19562128538514212, 0.0, -0.25843903989282435],
-    [
-      -0.04314000592110798, 0.19562128538514212, 0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, 0.19562128538514212, 0.2502325243786858,
-      0.06460975997320609,
-    ],
-    [
-      -0.04314000592110798, 0.21101459245073534, -0.22925712978232976,
-      0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, 0.21101459245073534, -0.14376749334574673,
-      0.19965513834206933,
-    ],
-    [
-      -0.04314000592110798, 0.21101459245073534, -0.10102267512745519,
-      -0.22433387064686156,
-    ],
-    [
-      -0.04314000592110798, 0.21101459245073534, 0.03730246231280765,
-      -0.24318674452920275,
-    ],
-    [
-      -0.04314000592110798, 0.21101459245073534, 0.1919546674695221,
-      0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, 0.21101459245073534, 0.2447901684732019,
-      0.024678732304792235,
-    ],
-    [
-      -0.04314000592110798, 0.25131479354772224, -0.20076058430346877,
-      0.03993102766841386,
-    ],
-    [
-      -0.04314000592110798, 0.25131479354772224, -0.11527094786688569,
-      -0.16915054761482606,
-    ],
-    [
-      -0.04314000592110798, 0.25131479354772224, -0.08885319736504582,
-      0.18440284297844772,
-    ],
-    [
-      -0.04314000592110798, 0.25131479354772224, 0.06579900779166867,
-      -0.1938292799196183,
-    ],
-    [
-      -0.04314000592110798, 0.25131479354772224, 0.13496157651180007,
-      0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, 0.25131479354772224, 0.2041241452319315,
-      -0.015252295363621632,
-    ],
-    [
-      -0.04314000592110798, 0.276221687579116, -0.16682168291912386,
-      0.030504590727243264,
-    ],
-    [
-      -0.04314000592110798, 0.276221687579116, -0.09765911419899245,
-      -0.1386459568875828,
-    ],
-    [
-      -0.04314000592110798, 0.276221687579116, -0.07124136369715256,
-      0.15389825225120446,
-    ],
-    [
-      -0.04314000592110798, 0.276221687579116, 0.05699309095772204,
-      -0.15972411067365544,
-    ],
-    [
-      -0.04314000592110798, 0.276221687579116, 0.10982859196140182,
-      0.12921951994641218,
-    ],
-    [
-      -0.04314000592110798, 0.276221687579116, 0.16890047789614498,
-      -0.015252295363621632,
-    ],
-    [
-      -0.04314000592110798, 0.3011285816105097, -0.10646503103293906,
-      0.05518332303203549,
-    ],
-    [
-      -0.04314000592110798, 0.3011285816105097, -0.08004728053109919,
-      0.08928849227799834,
-    ],
-    [
-      -0.04314000592110798, 0.3011285816105097, -0.03730246231280765,
-      -0.11396722458279057,
-    ],
-    [
-      -0.04314000592110798, 0.3011285816105097, 0.00544235590548388,
-      -0.11979308300524161,
-    ],
-    [
-      -0.04314000592110798, 0.3011285816105097, 0.10102267512745519,
-      0.06460975997320609,
-    ],
-    [
-      -0.04314000592110798, 0.3011285816105097, 0.11734974284390684,
-      0.024678732304792235,
-    ],
-    [
-      -0.03490099792761221, -0.32127868215900324, -0.04610837914675428,
-      -0.018852873882341206,
-    ],
-    [
-      -0.03490099792761221, -0.32127868215900324, 0.006727121856925497,
-      0.04935746460958447,
-    ],
-    [
-      -0.03490099792761221, -0.32127868215900324, 0.03938125728982878,
-      -0.030504590727243264,
-    ],
-    [
-      -0.03490099792761221, -0.2560715870306225, -0.18106995565855438,
-      0.08568791375927876,
-    ],
-    [
-      -0.03490099792761221, -0.2560715870306225, -0.1282344546548746,
-      0.15389825225120446,
-    ],
-    [
-      -0.03490099792761221, -0.2560715870306225, -0.0691625687201314,
-      -0.18800342149716726,
-    ],
-    [
-      -0.03490099792761221, -0.2560715870306225, 0.01632706771645164,
-      -0.19965513834206933,
-    ],
-    [
-      -0.03490099792761221, -0.2560715870306225, 0.16474288794210273,
-      0.11396722458279057,
-    ],
-    [
-      -0.03490099792761221, -0.2560715870306225, 0.19739702337500603,
-      0.03410516924596284,
-    ],
-    [
-      -0.03490099792761221, -0.20625779896783508, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      -0.03490099792761221, -0.20625779896783508, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      -0.03490099792761221, -0.20625779896783508, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      -0.03490099792761221, -0.15056429080525485, -0.28753498669149347,
-      -0.018852873882341206,
-    ],
-    [
-      -0.03490099792761221, -0.15056429080525485, -0.21837241797136203,
-      -0.18800342149716726,
-    ],
-    [
-      -0.03490099792761221, -0.15056429080525485, -0.05362953002925929,
-      0.28311777219761664,
-    ],
-    [
-      -0.03490099792761221, -0.15056429080525485, 0.12744042562929508,
-      0.25843903989282435,
-    ],
-    [
-      -0.03490099792761221, -0.15056429080525485, 0.16009456106219838,
-      -0.23958616601048321,
-    ],
-    [
-      -0.03490099792761221, -0.15056429080525485, 0.2720019480006213,
-      -0.09511435070044935,
-    ],
-    [
-      -0.03490099792761221, -0.1007505027424674, -0.3051468203593867,
-      0.04935746460958447,
-    ],
-    [
-      -0.03490099792761221, -0.1007505027424674, -0.1831487506355755,
-      -0.24901260295165378,
-    ],
-    [
-      -0.03490099792761221, -0.1007505027424674, -0.12407686470083232,
-      0.28311777219761664,
-    ],
-    [
-      -0.03490099792761221, -0.1007505027424674, 0.10982859196140182,
-      -0.28894363062006767,
-    ],
-    [
-      -0.03490099792761221, -0.1007505027424674, 0.1953182283979849,
-      0.23958616601048321,
-    ],
-    [
-      -0.03490099792761221, -0.1007505027424674, 0.3072256153364078,
-      -0.03410516924596284,
-    ],
-    [
-      -0.03490099792761221, -0.06996388861128094, -0.3160315321703545,
-      -0.030504590727243264,
-    ],
-    [
-      -0.03490099792761221, -0.06996388861128094, -0.24686896345022302,
-      -0.19965513834206933,
-    ],
-    [
-      -0.03490099792761221, -0.06996388861128094, -0.04947194007521703,
-      0.3136223629248599,
-    ],
-    [
-      -0.03490099792761221, -0.06996388861128094, 0.13159801558333734,
-      0.28894363062006767,
-    ],
-    [
-      -0.03490099792761221, -0.06996388861128094, 0.18443351658701712,
-      -0.25843903989282435,
-    ],
-    [
-      -0.03490099792761221, -0.06996388861128094, 0.29634090352544007,
-      -0.11396722458279057,
-    ],
-    [
-      -0.03490099792761221, 0.06996388861128094, -0.29634090352544007,
-      0.11396722458279057,
-    ],
-    [
-      -0.03490099792761221, 0.06996388861128094, -0.18443351658701712,
-      0.25843903989282435,
-    ],
-    [
-      -0.03490099792761221, 0.06996388861128094, -0.13159801558333734,
-      -0.28894363062006767,
-    ],
-    [
-      -0.03490099792761221, 0.06996388861128094, 0.04947194007521703,
-      -0.3136223629248599,
-    ],
-    [
-      -0.03490099792761221, 0.06996388861128094, 0.24686896345022302,
-      0.19965513834206933,
-    ],
-    [
-      -0.03490099792761221, 0.06996388861128094, 0.3160315321703545,
-      0.030504590727243264,
-    ],
-    [
-      -0.03490099792761221, 0.1007505027424674, -0.3072256153364078,
-      0.03410516924596284,
-    ],
-    [
-      -0.03490099792761221, 0.1007505027424674, -0.1953182283979849,
-      -0.23958616601048321,
-    ],
-    [
-      -0.03490099792761221, 0.1007505027424674, -0.10982859196140182,
-      0.28894363062006767,
-    ],
-    [
-      -0.03490099792761221, 0.1007505027424674, 0.12407686470083232,
-      -0.28311777219761664,
-    ],
-    [
-      -0.03490099792761221, 0.1007505027424674, 0.1831487506355755,
-      0.24901260295165378,
-    ],
-    [
-      -0.03490099792761221, 0.1007505027424674, 0.3051468203593867,
-      -0.04935746460958447,
-    ],
-    [
-      -0.03490099792761221, 0.15056429080525485, -0.2720019480006213,
-      0.09511435070044935,
-    ],
-    [
-      -0.03490099792761221, 0.15056429080525485, -0.16009456106219838,
-      0.23958616601048321,
-    ],
-    [
-      -0.03490099792761221, 0.15056429080525485, -0.12744042562929508,
-      -0.25843903989282435,
-    ],
-    [
-      -0.03490099792761221, 0.15056429080525485, 0.05362953002925929,
-      -0.28311777219761664,
-    ],
-    [
-      -0.03490099792761221, 0.15056429080525485, 0.21837241797136203,
-      0.18800342149716726,
-    ],
-    [
-      -0.03490099792761221, 0.15056429080525485, 0.28753498669149347,
-      0.018852873882341206,
-    ],
-    [
-      -0.03490099792761221, 0.20625779896783508, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      -0.03490099792761221, 0.20625779896783508, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      -0.03490099792761221, 0.20625779896783508, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      -0.03490099792761221, 0.2560715870306225, -0.19739702337500603,
-      -0.03410516924596284,
-    ],
-    [
-      -0.03490099792761221, 0.2560715870306225, -0.16474288794210273,
-      -0.11396722458279057,
-    ],
-    [
-      -0.03490099792761221, 0.2560715870306225, -0.01632706771645164,
-      0.19965513834206933,
-    ],
-    [
-      -0.03490099792761221, 0.2560715870306225, 0.0691625687201314,
-      0.18800342149716726,
-    ],
-    [
-      -0.03490099792761221, 0.2560715870306225, 0.1282344546548746,
-      -0.15389825225120446,
-    ],
-    [
-      -0.03490099792761221, 0.2560715870306225, 0.18106995565855438,
-      -0.08568791375927876,
-    ],
-    [
-      -0.03490099792761221, 0.32127868215900324, -0.03938125728982878,
-      0.030504590727243264,
-    ],
-    [
-      -0.03490099792761221, 0.32127868215900324, -0.006727121856925497,
-      -0.04935746460958447,
-    ],
-    [
-      -0.03490099792761221, 0.32127868215900324, 0.04610837914675428,
-      0.018852873882341206,
-    ],
-    [
-      -0.02157000296055399, -0.31358202862620665, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      -0.02157000296055399, -0.31358202862620665, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      -0.02157000296055399, -0.31358202862620665, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, -0.28867513459481287, -0.15128864422825172,
-      -0.015252295363621632,
-    ],
-    [
-      -0.02157000296055399, -0.28867513459481287, -0.11863450879534845,
-      -0.09511435070044935,
-    ],
-    [
-      -0.02157000296055399, -0.28867513459481287, -0.02305418957337714,
-      0.15029767373248487,
-    ],
-    [
-      -0.02157000296055399, -0.28867513459481287, 0.06243544686320592,
-      0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, -0.28867513459481287, 0.08885319736504582,
-      -0.12339366152396117,
-    ],
-    [
-      -0.02157000296055399, -0.28867513459481287, 0.1416886983687256,
-      -0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, -0.2637682405634192, -0.18651231156403825,
-      0.045756886090864896,
-    ],
-    [
-      -0.02157000296055399, -0.2637682405634192, -0.10102267512745519,
-      -0.16332468919237503,
-    ],
-    [
-      -0.02157000296055399, -0.2637682405634192, -0.09093199234206695,
-      0.16915054761482606,
-    ],
-    [
-      -0.02157000296055399, -0.2637682405634192, 0.05362953002925929,
-      -0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, -0.2637682405634192, 0.13288278153477895,
-      0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, -0.2637682405634192, 0.1919546674695221,
-      -0.005825858422451027,
-    ],
-    [
-      -0.02157000296055399, -0.2388613465320254, -0.22173597889982477,
-      -0.015252295363621632,
-    ],
-    [
-      -0.02157000296055399, -0.2388613465320254, -0.16890047789614498,
-      -0.14447181531003384,
-    ],
-    [
-      -0.02157000296055399, -0.2388613465320254, -0.0406660232412704,
-      0.21850801222441052,
-    ],
-    [
-      -0.02157000296055399, -0.2388613465320254, 0.09765911419899245,
-      0.19965513834206933,
-    ],
-    [
-      -0.02157000296055399, -0.2388613465320254, 0.12407686470083232,
-      -0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, -0.2388613465320254, 0.20956650113741537,
-      -0.07403619691437671,
-    ],
-    [
-      -0.02157000296055399, -0.20807473240083896, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      -0.02157000296055399, -0.20807473240083896, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, -0.20807473240083896, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      -0.02157000296055399, -0.18316783836944522, -0.267844358046579,
-      -0.03410516924596284,
-    ],
-    [
-      -0.02157000296055399, -0.18316783836944522, -0.2150088570428993,
-      -0.16332468919237503,
-    ],
-    [
-      -0.02157000296055399, -0.18316783836944522, -0.0339389013843449,
-      0.267865476833995,
-    ],
-    [
-      -0.02157000296055399, -0.18316783836944522, 0.10438623605591793,
-      0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, -0.18316783836944522, 0.16345812199066112,
-      -0.21490743370569096,
-    ],
-    [
-      -0.02157000296055399, -0.18316783836944522, 0.24894775842724415,
-      -0.10454078764161998,
-    ],
-    [
-      -0.02157000296055399, -0.1736542514036447, -0.21837241797136203,
-      0.16915054761482606,
-    ],
-    [
-      -0.02157000296055399, -0.1736542514036447, -0.03730246231280765,
-      -0.27369133525644607,
-    ],
-    [
-      -0.02157000296055399, -0.1736542514036447, 0.2556748802841696,
-      0.10454078764161998,
-    ],
-    [
-      -0.02157000296055399, -0.11796074324106454, -0.26448079711811634,
-      0.15029767373248487,
-    ],
-    [
-      -0.02157000296055399, -0.11796074324106454, -0.2116452961144365,
-      0.21850801222441052,
-    ],
-    [
-      -0.02157000296055399, -0.11796074324106454, -0.08341084145956193,
-      -0.2925442091387872,
-    ],
-    [
-      -0.02157000296055399, -0.11796074324106454, 0.0020787949770211325,
-      -0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, -0.11796074324106454, 0.2624020021410952,
-      0.15389825225120446,
-    ],
-    [
-      -0.02157000296055399, -0.11796074324106454, 0.2950561375739984,
-      0.07403619691437671,
-    ],
-    [
-      -0.02157000296055399, -0.09305384920967077, -0.29970446445390286,
-      0.08928849227799834,
-    ],
-    [
-      -0.02157000296055399, -0.09305384920967077, -0.16137932701364,
-      0.267865476833995,
-    ],
-    [
-      -0.02157000296055399, -0.09305384920967077, -0.15128864422825172,
-      -0.27369133525644607,
-    ],
-    [
-      -0.02157000296055399, -0.09305384920967077, 0.07252612964859417,
-      -0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, -0.09305384920967077, 0.22717833480530863,
-      0.21490743370569096,
-    ],
-    [
-      -0.02157000296055399, -0.09305384920967077, 0.3126679712418917,
-      0.005825858422451027,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, -0.3193950930988172,
-      -0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, -0.2929773425969773,
-      0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, -0.26655959209513747,
-      -0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, -0.20748770616039425,
-      0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, -0.11190738693842295,
-      -0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, -0.02641775050183989,
-      0.3230487998660305,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, 0.02641775050183989,
-      -0.3230487998660305,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, 0.11190738693842295,
-      0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, 0.20748770616039425,
-      -0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, 0.26655959209513747,
-      0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, 0.2929773425969773,
-      -0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, -0.03736034104709061, 0.3193950930988172,
-      0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, -0.01245344701569687, -0.301783259430924,
-      -0.12339366152396117,
-    ],
-    [
-      -0.02157000296055399, -0.01245344701569687, 0.04402958416973315,
-      0.3230487998660305,
-    ],
-    [
-      -0.02157000296055399, -0.01245344701569687, 0.25775367526119075,
-      -0.19965513834206933,
-    ],
-    [
-      -0.02157000296055399, 0.01245344701569687, -0.25775367526119075,
-      0.19965513834206933,
-    ],
-    [
-      -0.02157000296055399, 0.01245344701569687, -0.04402958416973315,
-      -0.3230487998660305,
-    ],
-    [
-      -0.02157000296055399, 0.01245344701569687, 0.301783259430924,
-      0.12339366152396117,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, -0.3193950930988172,
-      -0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, -0.2929773425969773,
-      0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, -0.26655959209513747,
-      -0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, -0.20748770616039425,
-      0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, -0.11190738693842295,
-      -0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, -0.02641775050183989,
-      0.3230487998660305,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, 0.02641775050183989,
-      -0.3230487998660305,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, 0.11190738693842295,
-      0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, 0.20748770616039425,
-      -0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, 0.26655959209513747,
-      0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, 0.2929773425969773,
-      -0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, 0.03736034104709061, 0.3193950930988172,
-      0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, 0.09305384920967077, -0.3126679712418917,
-      -0.005825858422451027,
-    ],
-    [
-      -0.02157000296055399, 0.09305384920967077, -0.22717833480530863,
-      -0.21490743370569096,
-    ],
-    [
-      -0.02157000296055399, 0.09305384920967077, -0.07252612964859417,
-      0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, 0.09305384920967077, 0.15128864422825172,
-      0.27369133525644607,
-    ],
-    [
-      -0.02157000296055399, 0.09305384920967077, 0.16137932701364,
-      -0.267865476833995,
-    ],
-    [
-      -0.02157000296055399, 0.09305384920967077, 0.29970446445390286,
-      -0.08928849227799834,
-    ],
-    [
-      -0.02157000296055399, 0.11796074324106454, -0.2950561375739984,
-      -0.07403619691437671,
-    ],
-    [
-      -0.02157000296055399, 0.11796074324106454, -0.2624020021410952,
-      -0.15389825225120446,
-    ],
-    [
-      -0.02157000296055399, 0.11796074324106454, -0.0020787949770211325,
-      0.3041959259836893,
-    ],
-    [
-      -0.02157000296055399, 0.11796074324106454, 0.08341084145956193,
-      0.2925442091387872,
-    ],
-    [
-      -0.02157000296055399, 0.11796074324106454, 0.2116452961144365,
-      -0.21850801222441052,
-    ],
-    [
-      -0.02157000296055399, 0.11796074324106454, 0.26448079711811634,
-      -0.15029767373248487,
-    ],
-    [
-      -0.02157000296055399, 0.1736542514036447, -0.2556748802841696,
-      -0.10454078764161998,
-    ],
-    [
-      -0.02157000296055399, 0.1736542514036447, 0.03730246231280765,
-      0.27369133525644607,
-    ],
-    [
-      -0.02157000296055399, 0.1736542514036447, 0.21837241797136203,
-      -0.16915054761482606,
-    ],
-    [
-      -0.02157000296055399, 0.18316783836944522, -0.24894775842724415,
-      0.10454078764161998,
-    ],
-    [
-      -0.02157000296055399, 0.18316783836944522, -0.16345812199066112,
-      0.21490743370569096,
-    ],
-    [
-      -0.02157000296055399, 0.18316783836944522, -0.10438623605591793,
-      -0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, 0.18316783836944522, 0.0339389013843449,
-      -0.267865476833995,
-    ],
-    [
-      -0.02157000296055399, 0.18316783836944522, 0.2150088570428993,
-      0.16332468919237503,
-    ],
-    [
-      -0.02157000296055399, 0.18316783836944522, 0.267844358046579,
-      0.03410516924596284,
-    ],
-    [
-      -0.02157000296055399, 0.20807473240083896, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      -0.02157000296055399, 0.20807473240083896, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      -0.02157000296055399, 0.20807473240083896, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      -0.02157000296055399, 0.2388613465320254, -0.20956650113741537,
-      0.07403619691437671,
-    ],
-    [
-      -0.02157000296055399, 0.2388613465320254, -0.12407686470083232,
-      0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, 0.2388613465320254, -0.09765911419899245,
-      -0.19965513834206933,
-    ],
-    [
-      -0.02157000296055399, 0.2388613465320254, 0.0406660232412704,
-      -0.21850801222441052,
-    ],
-    [
-      -0.02157000296055399, 0.2388613465320254, 0.16890047789614498,
-      0.14447181531003384,
-    ],
-    [
-      -0.02157000296055399, 0.2388613465320254, 0.22173597889982477,
-      0.015252295363621632,
-    ],
-    [
-      -0.02157000296055399, 0.2637682405634192, -0.1919546674695221,
-      0.005825858422451027,
-    ],
-    [
-      -0.02157000296055399, 0.2637682405634192, -0.13288278153477895,
-      -0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, 0.2637682405634192, -0.05362953002925929,
-      0.18440284297844772,
-    ],
-    [
-      -0.02157000296055399, 0.2637682405634192, 0.09093199234206695,
-      -0.16915054761482606,
-    ],
-    [
-      -0.02157000296055399, 0.2637682405634192, 0.10102267512745519,
-      0.16332468919237503,
-    ],
-    [
-      -0.02157000296055399, 0.2637682405634192, 0.18651231156403825,
-      -0.045756886090864896,
-    ],
-    [
-      -0.02157000296055399, 0.28867513459481287, -0.1416886983687256,
-      0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, 0.28867513459481287, -0.08885319736504582,
-      0.12339366152396117,
-    ],
-    [
-      -0.02157000296055399, 0.28867513459481287, -0.06243544686320592,
-      -0.1386459568875828,
-    ],
-    [
-      -0.02157000296055399, 0.28867513459481287, 0.02305418957337714,
-      -0.15029767373248487,
-    ],
-    [
-      -0.02157000296055399, 0.28867513459481287, 0.11863450879534845,
-      0.09511435070044935,
-    ],
-    [
-      -0.02157000296055399, 0.28867513459481287, 0.15128864422825172,
-      0.015252295363621632,
-    ],
-    [
-      -0.02157000296055399, 0.31358202862620665, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      -0.02157000296055399, 0.31358202862620665, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      -0.02157000296055399, 0.31358202862620665, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [0.0, -0.3260354756419035, -0.02305418957337714, -0.009426436941170603],
-    [0.0, -0.3260354756419035, 0.0033635609284627483, 0.024678732304792235],
-    [0.0, -0.3260354756419035, 0.01969062864491439, -0.015252295363621632],
-    [0.0, -0.276221687579116, -0.16890047789614498, -0.045756886090864896],
-    [0.0, -0.276221687579116, -0.15257341017969334, -0.08568791375927876],
-    [0.0, -0.276221687579116, 0.0020787949770211325, 0.1749764060372771],
-    [0.0, -0.276221687579116, 0.04482361319531267, 0.16915054761482606],
-    [0.0, -0.276221687579116, 0.12407686470083232, -0.12339366152396117],
-    [0.0, -0.276221687579116, 0.1504946152026722, -0.08928849227799834],
-    [0.0, -0.25131479354772224, -0.2041241452319315, -0.045756886090864896],
-    [0.0, -0.25131479354772224, -0.17770639473009164, -0.11036664606407098],
-    [0.0, -0.25131479354772224, -0.17770639473009164, 0.11036664606407098],
-    [0.0, -0.25131479354772224, -0.15128864422825172, 0.14447181531003384],
-    [0.0, -0.25131479354772224, -0.04947194007521703, -0.20325571686078892],
-    [0.0, -0.25131479354772224, -0.006727121856925497, -0.20908157528323995],
-    [0.0, -0.25131479354772224, -0.006727121856925497, 0.20908157528323995],
-    [0.0, -0.25131479354772224, 0.06243544686320592, 0.19965513834206933],
-    [0.0, -0.25131479354772224, 0.1416886983687256, -0.15389825225120446],
-    [0.0, -0.25131479354772224, 0.18443351658701712, -0.09871492921916894],
-    [0.0, -0.25131479354772224, 0.18443351658701712, 0.09871492921916894],
-    [0.0, -0.25131479354772224, 0.20076058430346877, 0.05878390155075507],
-    [0.0, -0.23592148648212907, -0.20956650113741537, -0.08568791375927876],
-    [0.0, -0.23592148648212907, 0.03057534045588215, 0.22433387064686156],
-    [0.0, -0.23592148648212907, 0.17899116068153326, -0.1386459568875828],
-    [0.0, -0.22640789951632856, -0.18651231156403825, 0.14447181531003384],
-    [0.0, -0.22640789951632856, -0.03186010640732377, -0.23376030758803218],
-    [0.0, -0.22640789951632856, 0.21837241797136203, 0.08928849227799834],
-    [0.0, -0.13041419025676138, -0.29970446445390286, -0.009426436941170603],
-    [0.0, -0.13041419025676138, -0.22045121294838316, -0.20325571686078892],
-    [0.0, -0.13041419025676138, -0.06579900779166867, 0.2925442091387872],
-    [0.0, -0.13041419025676138, 0.1416886983687256, 0.26426489831527544],
-    [0.0, -0.13041419025676138, 0.15801576608517726, -0.2548384613741048],
-    [0.0, -0.13041419025676138, 0.2862502207400518, -0.08928849227799834],
-    [0.0, -0.10550729622536767, -0.30851038128784947, 0.024678732304792235],
-    [0.0, -0.10550729622536767, -0.2028393792804899, -0.23376030758803218],
-    [0.0, -0.10550729622536767, -0.10102267512745519, 0.2925442091387872],
-    [0.0, -0.10550729622536767, 0.13288278153477895, -0.27951719367889705],
-    [0.0, -0.10550729622536767, 0.17562759975307046, 0.2548384613741048],
-    [0.0, -0.10550729622536767, 0.3038620544079451, -0.05878390155075507],
-    [0.0, -0.09011398915977445, -0.3139527371933333, -0.015252295363621632],
-    [0.0, -0.09011398915977445, -0.26111723618965355, 0.1749764060372771],
-    [0.0, -0.09011398915977445, -0.23469948568781368, -0.20908157528323995],
-    [0.0, -0.09011398915977445, -0.23469948568781368, 0.20908157528323995],
-    [0.0, -0.09011398915977445, -0.06372021281464754, -0.3077965045024089],
-    [0.0, -0.09011398915977445, -0.06372021281464754, 0.3077965045024089],
-    [0.0, -0.09011398915977445, -0.020975394596356008, -0.3136223629248599],
-    [0.0, -0.09011398915977445, 0.14376749334574673, 0.27951719367889705],
-    [0.0, -0.09011398915977445, 0.1701852438475866, -0.26426489831527544],
-    [0.0, -0.09011398915977445, 0.28209263078600955, 0.1386459568875828],
-    [0.0, -0.09011398915977445, 0.2984196985024612, -0.09871492921916894],
-    [0.0, -0.09011398915977445, 0.2984196985024612, 0.09871492921916894],
-    [0.0, -0.04981378806278748, -0.27536550892908407, 0.16915054761482606],
-    [0.0, -0.04981378806278748, -0.23262069071079255, 0.22433387064686156],
-    [0.0, -0.04981378806278748, -0.07796848555407804, -0.3136223629248599],
-    [0.0, -0.04981378806278748, -0.00880591683394663, -0.3230487998660305],
-    [0.0, -0.04981378806278748, 0.28417142576303067, 0.15389825225120446],
-    [0.0, -0.04981378806278748, 0.3105891762648706, 0.08928849227799834],
-    [0.0, -0.02490689403139374, -0.25775367526119075, 0.19965513834206933],
-    [0.0, -0.02490689403139374, -0.04402958416973315, -0.3230487998660305],
-    [0.0, -0.02490689403139374, 0.301783259430924, 0.12339366152396117],
-    [0.0, 0.02490689403139374, -0.301783259430924, -0.12339366152396117],
-    [0.0, 0.02490689403139374, 0.04402958416973315, 0.3230487998660305],
-    [0.0, 0.02490689403139374, 0.25775367526119075, -0.19965513834206933],
-    [0.0, 0.04981378806278748, -0.3105891762648706, -0.08928849227799834],
-    [0.0, 0.04981378806278748, -0.28417142576303067, -0.15389825225120446],
-    [0.0, 0.04981378806278748, 0.00880591683394663, 0.3230487998660305],
-    [0.0, 0.04981378806278748, 0.07796848555407804, 0.3136223629248599],
-    [0.0, 0.04981378806278748, 0.23262069071079255, -0.22433387064686156],
-    [0.0, 0.04981378806278748, 0.27536550892908407, -0.16915054761482606],
-    [0.0, 0.09011398915977445, -0.2984196985024612, -0.09871492921916894],
-    [0.0, 0.09011398915977445, -0.2984196985024612, 0.09871492921916894],
-    [0.0, 0.09011398915977445, -0.28209263078600955, -0.1386459568875828],
-    [0.0, 0.09011398915977445, -0.1701852438475866, 0.26426489831527544],
-    [0.0, 0.09011398915977445, -0.14376749334574673, -0.27951719367889705],
-    [0.0, 0.09011398915977445, 0.020975394596356008, 0.3136223629248599],
-    [0.0, 0.09011398915977445, 0.06372021281464754, -0.3077965045024089],
-    [0.0, 0.09011398915977445, 0.06372021281464754, 0.3077965045024089],
-    [0.0, 0.09011398915977445, 0.23469948568781368, -0.20908157528323995],
-    [0.0, 0.09011398915977445, 0.23469948568781368, 0.20908157528323995],
-    [0.0, 0.09011398915977445, 0.26111723618965355, -0.1749764060372771],
-    [0.0, 0.09011398915977445, 0.3139527371933333, 0.015252295363621632],
-    [0.0, 0.10550729622536767, -0.3038620544079451, 0.05878390155075507],
-    [0.0, 0.10550729622536767, -0.17562759975307046, -0.2548384613741048],
-    [0.0, 0.10550729622536767, -0.13288278153477895, 0.27951719367889705],
-    [0.0, 0.10550729622536767, 0.10102267512745519, -0.2925442091387872],
-    [0.0, 0.10550729622536767, 0.2028393792804899, 0.23376030758803218],
-    [0.0, 0.10550729622536767, 0.30851038128784947, -0.024678732304792235],
-    [0.0, 0.13041419025676138, -0.2862502207400518, 0.08928849227799834],
-    [0.0, 0.13041419025676138, -0.15801576608517726, 0.2548384613741048],
-    [0.0, 0.13041419025676138, -0.1416886983687256, -0.26426489831527544],
-    [0.0, 0.13041419025676138, 0.06579900779166867, -0.2925442091387872],
-    [0.0, 0.13041419025676138, 0.22045121294838316, 0.20325571686078892],
-    [0.0, 0.13041419025676138, 0.29970446445390286, 0.009426436941170603],
-    [0.0, 0.22640789951632856, -0.21837241797136203, -0.08928849227799834],
-    [0.0, 0.22640789951632856, 0.03186010640732377, 0.23376030758803218],
-    [0.0, 0.22640789951632856, 0.18651231156403825, -0.14447181531003384],
-    [0.0, 0.23592148648212907, -0.17899116068153326, 0.1386459568875828],
-    [0.0, 0.23592148648212907, -0.03057534045588215, -0.22433387064686156],
-    [0.0, 0.23592148648212907, 0.20956650113741537, 0.08568791375927876],
-    [0.0, 0.25131479354772224, -0.20076058430346877, -0.05878390155075507],
-    [0.0, 0.25131479354772224, -0.18443351658701712, -0.09871492921916894],
-    [0.0, 0.25131479354772224, -0.18443351658701712, 0.09871492921916894],
-    [0.0, 0.25131479354772224, -0.1416886983687256, 0.15389825225120446],
-    [0.0, 0.25131479354772224, -0.06243544686320592, -0.19965513834206933],
-    [0.0, 0.25131479354772224, 0.006727121856925497, -0.20908157528323995],
-    [0.0, 0.25131479354772224, 0.006727121856925497, 0.20908157528323995],
-    [0.0, 0.25131479354772224, 0.04947194007521703, 0.20325571686078892],
-    [0.0, 0.25131479354772224, 0.15128864422825172, -0.14447181531003384],
-    [0.0, 0.25131479354772224, 0.17770639473009164, -0.11036664606407098],
-    [0.0, 0.25131479354772224, 0.17770639473009164, 0.11036664606407098],
-    [0.0, 0.25131479354772224, 0.2041241452319315, 0.045756886090864896],
-    [0.0, 0.276221687579116, -0.1504946152026722, 0.08928849227799834],
-    [0.0, 0.276221687579116, -0.12407686470083232, 0.12339366152396117],
-    [0.0, 0.276221687579116, -0.04482361319531267, -0.16915054761482606],
-    [0.0, 0.276221687579116, -0.0020787949770211325, -0.1749764060372771],
-    [0.0, 0.276221687579116, 0.15257341017969334, 0.08568791375927876],
-    [0.0, 0.276221687579116, 0.16890047789614498, 0.045756886090864896],
-    [0.0, 0.3260354756419035, -0.01969062864491439, 0.015252295363621632],
-    [0.0, 0.3260354756419035, -0.0033635609284627483, -0.024678732304792235],
-    [0.0, 0.3260354756419035, 0.02305418957337714, 0.009426436941170603],
-    [
-      0.02157000296055399, -0.31358202862620665, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      0.02157000296055399, -0.31358202862620665, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      0.02157000296055399, -0.31358202862620665, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, -0.28867513459481287, -0.15128864422825172,
-      -0.015252295363621632,
-    ],
-    [
-      0.02157000296055399, -0.28867513459481287, -0.11863450879534845,
-      -0.09511435070044935,
-    ],
-    [
-      0.02157000296055399, -0.28867513459481287, -0.02305418957337714,
-      0.15029767373248487,
-    ],
-    [
-      0.02157000296055399, -0.28867513459481287, 0.06243544686320592,
-      0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, -0.28867513459481287, 0.08885319736504582,
-      -0.12339366152396117,
-    ],
-    [
-      0.02157000296055399, -0.28867513459481287, 0.1416886983687256,
-      -0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, -0.2637682405634192, -0.18651231156403825,
-      0.045756886090864896,
-    ],
-    [
-      0.02157000296055399, -0.2637682405634192, -0.10102267512745519,
-      -0.16332468919237503,
-    ],
-    [
-      0.02157000296055399, -0.2637682405634192, -0.09093199234206695,
-      0.16915054761482606,
-    ],
-    [
-      0.02157000296055399, -0.2637682405634192, 0.05362953002925929,
-      -0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, -0.2637682405634192, 0.13288278153477895,
-      0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, -0.2637682405634192, 0.1919546674695221,
-      -0.005825858422451027,
-    ],
-    [
-      0.02157000296055399, -0.2388613465320254, -0.22173597889982477,
-      -0.015252295363621632,
-    ],
-    [
-      0.02157000296055399, -0.2388613465320254, -0.16890047789614498,
-      -0.14447181531003384,
-    ],
-    [
-      0.02157000296055399, -0.2388613465320254, -0.0406660232412704,
-      0.21850801222441052,
-    ],
-    [
-      0.02157000296055399, -0.2388613465320254, 0.09765911419899245,
-      0.19965513834206933,
-    ],
-    [
-      0.02157000296055399, -0.2388613465320254, 0.12407686470083232,
-      -0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, -0.2388613465320254, 0.20956650113741537,
-      -0.07403619691437671,
-    ],
-    [
-      0.02157000296055399, -0.20807473240083896, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      0.02157000296055399, -0.20807473240083896, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, -0.20807473240083896, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      0.02157000296055399, -0.18316783836944522, -0.267844358046579,
-      -0.03410516924596284,
-    ],
-    [
-      0.02157000296055399, -0.18316783836944522, -0.2150088570428993,
-      -0.16332468919237503,
-    ],
-    [
-      0.02157000296055399, -0.18316783836944522, -0.0339389013843449,
-      0.267865476833995,
-    ],
-    [
-      0.02157000296055399, -0.18316783836944522, 0.10438623605591793,
-      0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, -0.18316783836944522, 0.16345812199066112,
-      -0.21490743370569096,
-    ],
-    [
-      0.02157000296055399, -0.18316783836944522, 0.24894775842724415,
-      -0.10454078764161998,
-    ],
-    [
-      0.02157000296055399, -0.1736542514036447, -0.21837241797136203,
-      0.16915054761482606,
-    ],
-    [
-      0.02157000296055399, -0.1736542514036447, -0.03730246231280765,
-      -0.27369133525644607,
-    ],
-    [
-      0.02157000296055399, -0.1736542514036447, 0.2556748802841696,
-      0.10454078764161998,
-    ],
-    [
-      0.02157000296055399, -0.11796074324106454, -0.26448079711811634,
-      0.15029767373248487,
-    ],
-    [
-      0.02157000296055399, -0.11796074324106454, -0.2116452961144365,
-      0.21850801222441052,
-    ],
-    [
-      0.02157000296055399, -0.11796074324106454, -0.08341084145956193,
-      -0.2925442091387872,
-    ],
-    [
-      0.02157000296055399, -0.11796074324106454, 0.0020787949770211325,
-      -0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, -0.11796074324106454, 0.2624020021410952,
-      0.15389825225120446,
-    ],
-    [
-      0.02157000296055399, -0.11796074324106454, 0.2950561375739984,
-      0.07403619691437671,
-    ],
-    [
-      0.02157000296055399, -0.09305384920967077, -0.29970446445390286,
-      0.08928849227799834,
-    ],
-    [
-      0.02157000296055399, -0.09305384920967077, -0.16137932701364,
-      0.267865476833995,
-    ],
-    [
-      0.02157000296055399, -0.09305384920967077, -0.15128864422825172,
-      -0.27369133525644607,
-    ],
-    [
-      0.02157000296055399, -0.09305384920967077, 0.07252612964859417,
-      -0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, -0.09305384920967077, 0.22717833480530863,
-      0.21490743370569096,
-    ],
-    [
-      0.02157000296055399, -0.09305384920967077, 0.3126679712418917,
-      0.005825858422451027,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, -0.3193950930988172,
-      -0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, -0.2929773425969773,
-      0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, -0.26655959209513747,
-      -0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, -0.20748770616039425,
-      0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, -0.11190738693842295,
-      -0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, -0.02641775050183989,
-      0.3230487998660305,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, 0.02641775050183989,
-      -0.3230487998660305,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, 0.11190738693842295,
-      0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, 0.20748770616039425,
-      -0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, 0.26655959209513747,
-      0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, 0.2929773425969773,
-      -0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, -0.03736034104709061, 0.3193950930988172,
-      0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, -0.01245344701569687, -0.301783259430924,
-      -0.12339366152396117,
-    ],
-    [
-      0.02157000296055399, -0.01245344701569687, 0.04402958416973315,
-      0.3230487998660305,
-    ],
-    [
-      0.02157000296055399, -0.01245344701569687, 0.25775367526119075,
-      -0.19965513834206933,
-    ],
-    [
-      0.02157000296055399, 0.01245344701569687, -0.25775367526119075,
-      0.19965513834206933,
-    ],
-    [
-      0.02157000296055399, 0.01245344701569687, -0.04402958416973315,
-      -0.3230487998660305,
-    ],
-    [
-      0.02157000296055399, 0.01245344701569687, 0.301783259430924,
-      0.12339366152396117,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, -0.3193950930988172,
-      -0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, -0.2929773425969773,
-      0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, -0.26655959209513747,
-      -0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, -0.20748770616039425,
-      0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, -0.11190738693842295,
-      -0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, -0.02641775050183989,
-      0.3230487998660305,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, 0.02641775050183989,
-      -0.3230487998660305,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, 0.11190738693842295,
-      0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, 0.20748770616039425,
-      -0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, 0.26655959209513747,
-      0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, 0.2929773425969773,
-      -0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, 0.03736034104709061, 0.3193950930988172,
-      0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, 0.09305384920967077, -0.3126679712418917,
-      -0.005825858422451027,
-    ],
-    [
-      0.02157000296055399, 0.09305384920967077, -0.22717833480530863,
-      -0.21490743370569096,
-    ],
-    [
-      0.02157000296055399, 0.09305384920967077, -0.07252612964859417,
-      0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, 0.09305384920967077, 0.15128864422825172,
-      0.27369133525644607,
-    ],
-    [
-      0.02157000296055399, 0.09305384920967077, 0.16137932701364,
-      -0.267865476833995,
-    ],
-    [
-      0.02157000296055399, 0.09305384920967077, 0.29970446445390286,
-      -0.08928849227799834,
-    ],
-    [
-      0.02157000296055399, 0.11796074324106454, -0.2950561375739984,
-      -0.07403619691437671,
-    ],
-    [
-      0.02157000296055399, 0.11796074324106454, -0.2624020021410952,
-      -0.15389825225120446,
-    ],
-    [
-      0.02157000296055399, 0.11796074324106454, -0.0020787949770211325,
-      0.3041959259836893,
-    ],
-    [
-      0.02157000296055399, 0.11796074324106454, 0.08341084145956193,
-      0.2925442091387872,
-    ],
-    [
-      0.02157000296055399, 0.11796074324106454, 0.2116452961144365,
-      -0.21850801222441052,
-    ],
-    [
-      0.02157000296055399, 0.11796074324106454, 0.26448079711811634,
-      -0.15029767373248487,
-    ],
-    [
-      0.02157000296055399, 0.1736542514036447, -0.2556748802841696,
-      -0.10454078764161998,
-    ],
-    [
-      0.02157000296055399, 0.1736542514036447, 0.03730246231280765,
-      0.27369133525644607,
-    ],
-    [
-      0.02157000296055399, 0.1736542514036447, 0.21837241797136203,
-      -0.16915054761482606,
-    ],
-    [
-      0.02157000296055399, 0.18316783836944522, -0.24894775842724415,
-      0.10454078764161998,
-    ],
-    [
-      0.02157000296055399, 0.18316783836944522, -0.16345812199066112,
-      0.21490743370569096,
-    ],
-    [
-      0.02157000296055399, 0.18316783836944522, -0.10438623605591793,
-      -0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, 0.18316783836944522, 0.0339389013843449,
-      -0.267865476833995,
-    ],
-    [
-      0.02157000296055399, 0.18316783836944522, 0.2150088570428993,
-      0.16332468919237503,
-    ],
-    [
-      0.02157000296055399, 0.18316783836944522, 0.267844358046579,
-      0.03410516924596284,
-    ],
-    [
-      0.02157000296055399, 0.20807473240083896, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      0.02157000296055399, 0.20807473240083896, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      0.02157000296055399, 0.20807473240083896, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      0.02157000296055399, 0.2388613465320254, -0.20956650113741537,
-      0.07403619691437671,
-    ],
-    [
-      0.02157000296055399, 0.2388613465320254, -0.12407686470083232,
-      0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, 0.2388613465320254, -0.09765911419899245,
-      -0.19965513834206933,
-    ],
-    [
-      0.02157000296055399, 0.2388613465320254, 0.0406660232412704,
-      -0.21850801222441052,
-    ],
-    [
-      0.02157000296055399, 0.2388613465320254, 0.16890047789614498,
-      0.14447181531003384,
-    ],
-    [
-      0.02157000296055399, 0.2388613465320254, 0.22173597889982477,
-      0.015252295363621632,
-    ],
-    [
-      0.02157000296055399, 0.2637682405634192, -0.1919546674695221,
-      0.005825858422451027,
-    ],
-    [
-      0.02157000296055399, 0.2637682405634192, -0.13288278153477895,
-      -0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, 0.2637682405634192, -0.05362953002925929,
-      0.18440284297844772,
-    ],
-    [
-      0.02157000296055399, 0.2637682405634192, 0.09093199234206695,
-      -0.16915054761482606,
-    ],
-    [
-      0.02157000296055399, 0.2637682405634192, 0.10102267512745519,
-      0.16332468919237503,
-    ],
-    [
-      0.02157000296055399, 0.2637682405634192, 0.18651231156403825,
-      -0.045756886090864896,
-    ],
-    [
-      0.02157000296055399, 0.28867513459481287, -0.1416886983687256,
-      0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, 0.28867513459481287, -0.08885319736504582,
-      0.12339366152396117,
-    ],
-    [
-      0.02157000296055399, 0.28867513459481287, -0.06243544686320592,
-      -0.1386459568875828,
-    ],
-    [
-      0.02157000296055399, 0.28867513459481287, 0.02305418957337714,
-      -0.15029767373248487,
-    ],
-    [
-      0.02157000296055399, 0.28867513459481287, 0.11863450879534845,
-      0.09511435070044935,
-    ],
-    [
-      0.02157000296055399, 0.28867513459481287, 0.15128864422825172,
-      0.015252295363621632,
-    ],
-    [
-      0.02157000296055399, 0.31358202862620665, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      0.02157000296055399, 0.31358202862620665, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      0.02157000296055399, 0.31358202862620665, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      0.03490099792761221, -0.32127868215900324, -0.04610837914675428,
-      -0.018852873882341206,
-    ],
-    [
-      0.03490099792761221, -0.32127868215900324, 0.006727121856925497,
-      0.04935746460958447,
-    ],
-    [
-      0.03490099792761221, -0.32127868215900324, 0.03938125728982878,
-      -0.030504590727243264,
-    ],
-    [
-      0.03490099792761221, -0.2560715870306225, -0.18106995565855438,
-      0.08568791375927876,
-    ],
-    [
-      0.03490099792761221, -0.2560715870306225, -0.1282344546548746,
-      0.15389825225120446,
-    ],
-    [
-      0.03490099792761221, -0.2560715870306225, -0.0691625687201314,
-      -0.18800342149716726,
-    ],
-    [
-      0.03490099792761221, -0.2560715870306225, 0.01632706771645164,
-      -0.19965513834206933,
-    ],
-    [
-      0.03490099792761221, -0.2560715870306225, 0.16474288794210273,
-      0.11396722458279057,
-    ],
-    [
-      0.03490099792761221, -0.2560715870306225, 0.19739702337500603,
-      0.03410516924596284,
-    ],
-    [
-      0.03490099792761221, -0.20625779896783508, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      0.03490099792761221, -0.20625779896783508, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      0.03490099792761221, -0.20625779896783508, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      0.03490099792761221, -0.15056429080525485, -0.28753498669149347,
-      -0.018852873882341206,
-    ],
-    [
-      0.03490099792761221, -0.15056429080525485, -0.21837241797136203,
-      -0.18800342149716726,
-    ],
-    [
-      0.03490099792761221, -0.15056429080525485, -0.05362953002925929,
-      0.28311777219761664,
-    ],
-    [
-      0.03490099792761221, -0.15056429080525485, 0.12744042562929508,
-      0.25843903989282435,
-    ],
-    [
-      0.03490099792761221, -0.15056429080525485, 0.16009456106219838,
-      -0.23958616601048321,
-    ],
-    [
-      0.03490099792761221, -0.15056429080525485, 0.2720019480006213,
-      -0.09511435070044935,
-    ],
-    [
-      0.03490099792761221, -0.1007505027424674, -0.3051468203593867,
-      0.04935746460958447,
-    ],
-    [
-      0.03490099792761221, -0.1007505027424674, -0.1831487506355755,
-      -0.24901260295165378,
-    ],
-    [
-      0.03490099792761221, -0.1007505027424674, -0.12407686470083232,
-      0.28311777219761664,
-    ],
-    [
-      0.03490099792761221, -0.1007505027424674, 0.10982859196140182,
-      -0.28894363062006767,
-    ],
-    [
-      0.03490099792761221, -0.1007505027424674, 0.1953182283979849,
-      0.23958616601048321,
-    ],
-    [
-      0.03490099792761221, -0.1007505027424674, 0.3072256153364078,
-      -0.03410516924596284,
-    ],
-    [
-      0.03490099792761221, -0.06996388861128094, -0.3160315321703545,
-      -0.030504590727243264,
-    ],
-    [
-      0.03490099792761221, -0.06996388861128094, -0.24686896345022302,
-      -0.19965513834206933,
-    ],
-    [
-      0.03490099792761221, -0.06996388861128094, -0.04947194007521703,
-      0.3136223629248599,
-    ],
-    [
-      0.03490099792761221, -0.06996388861128094, 0.13159801558333734,
-      0.28894363062006767,
-    ],
-    [
-      0.03490099792761221, -0.06996388861128094, 0.18443351658701712,
-      -0.25843903989282435,
-    ],
-    [
-      0.03490099792761221, -0.06996388861128094, 0.29634090352544007,
-      -0.11396722458279057,
-    ],
-    [
-      0.03490099792761221, 0.06996388861128094, -0.29634090352544007,
-      0.11396722458279057,
-    ],
-    [
-      0.03490099792761221, 0.06996388861128094, -0.18443351658701712,
-      0.25843903989282435,
-    ],
-    [
-      0.03490099792761221, 0.06996388861128094, -0.13159801558333734,
-      -0.28894363062006767,
-    ],
-    [
-      0.03490099792761221, 0.06996388861128094, 0.04947194007521703,
-      -0.3136223629248599,
-    ],
-    [
-      0.03490099792761221, 0.06996388861128094, 0.24686896345022302,
-      0.19965513834206933,
-    ],
-    [
-      0.03490099792761221, 0.06996388861128094, 0.3160315321703545,
-      0.030504590727243264,
-    ],
-    [
-      0.03490099792761221, 0.1007505027424674, -0.3072256153364078,
-      0.03410516924596284,
-    ],
-    [
-      0.03490099792761221, 0.1007505027424674, -0.1953182283979849,
-      -0.23958616601048321,
-    ],
-    [
-      0.03490099792761221, 0.1007505027424674, -0.10982859196140182,
-      0.28894363062006767,
-    ],
-    [
-      0.03490099792761221, 0.1007505027424674, 0.12407686470083232,
-      -0.28311777219761664,
-    ],
-    [
-      0.03490099792761221, 0.1007505027424674, 0.1831487506355755,
-      0.24901260295165378,
-    ],
-    [
-      0.03490099792761221, 0.1007505027424674, 0.3051468203593867,
-      -0.04935746460958447,
-    ],
-    [
-      0.03490099792761221, 0.15056429080525485, -0.2720019480006213,
-      0.09511435070044935,
-    ],
-    [
-      0.03490099792761221, 0.15056429080525485, -0.16009456106219838,
-      0.23958616601048321,
-    ],
-    [
-      0.03490099792761221, 0.15056429080525485, -0.12744042562929508,
-      -0.25843903989282435,
-    ],
-    [
-      0.03490099792761221, 0.15056429080525485, 0.05362953002925929,
-      -0.28311777219761664,
-    ],
-    [
-      0.03490099792761221, 0.15056429080525485, 0.21837241797136203,
-      0.18800342149716726,
-    ],
-    [
-      0.03490099792761221, 0.15056429080525485, 0.28753498669149347,
-      0.018852873882341206,
-    ],
-    [
-      0.03490099792761221, 0.20625779896783508, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      0.03490099792761221, 0.20625779896783508, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      0.03490099792761221, 0.20625779896783508, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      0.03490099792761221, 0.2560715870306225, -0.19739702337500603,
-      -0.03410516924596284,
-    ],
-    [
-      0.03490099792761221, 0.2560715870306225, -0.16474288794210273,
-      -0.11396722458279057,
-    ],
-    [
-      0.03490099792761221, 0.2560715870306225, -0.01632706771645164,
-      0.19965513834206933,
-    ],
-    [
-      0.03490099792761221, 0.2560715870306225, 0.0691625687201314,
-      0.18800342149716726,
-    ],
-    [
-      0.03490099792761221, 0.2560715870306225, 0.1282344546548746,
-      -0.15389825225120446,
-    ],
-    [
-      0.03490099792761221, 0.2560715870306225, 0.18106995565855438,
-      -0.08568791375927876,
-    ],
-    [
-      0.03490099792761221, 0.32127868215900324, -0.03938125728982878,
-      0.030504590727243264,
-    ],
-    [
-      0.03490099792761221, 0.32127868215900324, -0.006727121856925497,
-      -0.04935746460958447,
-    ],
-    [
-      0.03490099792761221, 0.32127868215900324, 0.04610837914675428,
-      0.018852873882341206,
-    ],
-    [
-      0.04314000592110798, -0.3011285816105097, -0.11734974284390684,
-      -0.024678732304792235,
-    ],
-    [
-      0.04314000592110798, -0.3011285816105097, -0.10102267512745519,
-      -0.06460975997320609,
-    ],
-    [
-      0.04314000592110798, -0.3011285816105097, -0.00544235590548388,
-      0.11979308300524161,
-    ],
-    [
-      0.04314000592110798, -0.3011285816105097, 0.03730246231280765,
-      0.11396722458279057,
-    ],
-    [
-      0.04314000592110798, -0.3011285816105097, 0.08004728053109919,
-      -0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, -0.3011285816105097, 0.10646503103293906,
-      -0.05518332303203549,
-    ],
-    [
-      0.04314000592110798, -0.276221687579116, -0.16890047789614498,
-      0.015252295363621632,
-    ],
-    [
-      0.04314000592110798, -0.276221687579116, -0.10982859196140182,
-      -0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, -0.276221687579116, -0.05699309095772204,
-      0.15972411067365544,
-    ],
-    [
-      0.04314000592110798, -0.276221687579116, 0.07124136369715256,
-      -0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, -0.276221687579116, 0.09765911419899245,
-      0.1386459568875828,
-    ],
-    [
-      0.04314000592110798, -0.276221687579116, 0.16682168291912386,
-      -0.030504590727243264,
-    ],
-    [
-      0.04314000592110798, -0.25131479354772224, -0.2041241452319315,
-      0.015252295363621632,
-    ],
-    [
-      0.04314000592110798, -0.25131479354772224, -0.13496157651180007,
-      -0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, -0.25131479354772224, -0.06579900779166867,
-      0.1938292799196183,
-    ],
-    [
-      0.04314000592110798, -0.25131479354772224, 0.08885319736504582,
-      -0.18440284297844772,
-    ],
-    [
-      0.04314000592110798, -0.25131479354772224, 0.11527094786688569,
-      0.16915054761482606,
-    ],
-    [
-      0.04314000592110798, -0.25131479354772224, 0.20076058430346877,
-      -0.03993102766841386,
-    ],
-    [
-      0.04314000592110798, -0.21101459245073534, -0.2447901684732019,
-      -0.024678732304792235,
-    ],
-    [
-      0.04314000592110798, -0.21101459245073534, -0.1919546674695221,
-      -0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, -0.21101459245073534, -0.03730246231280765,
-      0.24318674452920275,
-    ],
-    [
-      0.04314000592110798, -0.21101459245073534, 0.10102267512745519,
-      0.22433387064686156,
-    ],
-    [
-      0.04314000592110798, -0.21101459245073534, 0.14376749334574673,
-      -0.19965513834206933,
-    ],
-    [
-      0.04314000592110798, -0.21101459245073534, 0.22925712978232976,
-      -0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, -0.19562128538514212, -0.2502325243786858,
-      -0.06460975997320609,
-    ],
-    [
-      0.04314000592110798, -0.19562128538514212, -0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [0.04314000592110798, -0.19562128538514212, 0.0, 0.25843903989282435],
-    [
-      0.04314000592110798, -0.19562128538514212, 0.0691625687201314,
-      0.24901260295165378,
-    ],
-    [
-      0.04314000592110798, -0.19562128538514212, 0.18106995565855438,
-      -0.18440284297844772,
-    ],
-    [
-      0.04314000592110798, -0.19562128538514212, 0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, -0.1458074973223546, -0.24142660754473916,
-      0.15972411067365544,
-    ],
-    [
-      0.04314000592110798, -0.1458074973223546, -0.2150088570428993,
-      0.1938292799196183,
-    ],
-    [
-      0.04314000592110798, -0.1458074973223546, -0.06035665188618479,
-      -0.28311777219761664,
-    ],
-    [
-      0.04314000592110798, -0.1458074973223546, -0.01761183366789326,
-      -0.28894363062006767,
-    ],
-    [
-      0.04314000592110798, -0.1458074973223546, 0.2590384412126324,
-      0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, -0.1458074973223546, 0.27536550892908407,
-      0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, -0.10550729622536767, -0.28209263078600955,
-      0.11979308300524161,
-    ],
-    [
-      0.04314000592110798, -0.10550729622536767, -0.18651231156403825,
-      0.24318674452920275,
-    ],
-    [
-      0.04314000592110798, -0.10550729622536767, -0.11734974284390684,
-      -0.28311777219761664,
-    ],
-    [
-      0.04314000592110798, -0.10550729622536767, 0.03730246231280765,
-      -0.3041959259836893,
-    ],
-    [
-      0.04314000592110798, -0.10550729622536767, 0.2447901684732019,
-      0.18440284297844772,
-    ],
-    [
-      0.04314000592110798, -0.10550729622536767, 0.3038620544079451,
-      0.03993102766841386,
-    ],
-    [
-      0.04314000592110798, -0.06520709512838069, -0.29634090352544007,
-      0.11396722458279057,
-    ],
-    [
-      0.04314000592110798, -0.06520709512838069, -0.18443351658701712,
-      0.25843903989282435,
-    ],
-    [
-      0.04314000592110798, -0.06520709512838069, -0.13159801558333734,
-      -0.28894363062006767,
-    ],
-    [
-      0.04314000592110798, -0.06520709512838069, 0.04947194007521703,
-      -0.3136223629248599,
-    ],
-    [
-      0.04314000592110798, -0.06520709512838069, 0.24686896345022302,
-      0.19965513834206933,
-    ],
-    [
-      0.04314000592110798, -0.06520709512838069, 0.3160315321703545,
-      0.030504590727243264,
-    ],
-    [
-      0.04314000592110798, -0.02490689403139374, -0.3105891762648706,
-      -0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, -0.02490689403139374, -0.28417142576303067,
-      -0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, -0.02490689403139374, 0.00880591683394663,
-      0.3230487998660305,
-    ],
-    [
-      0.04314000592110798, -0.02490689403139374, 0.07796848555407804,
-      0.3136223629248599,
-    ],
-    [
-      0.04314000592110798, -0.02490689403139374, 0.23262069071079255,
-      -0.22433387064686156,
-    ],
-    [
-      0.04314000592110798, -0.02490689403139374, 0.27536550892908407,
-      -0.16915054761482606,
-    ],
-    [0.04314000592110798, 0.0, -0.3193950930988172, -0.05518332303203549],
-    [0.04314000592110798, 0.0, -0.2929773425969773, 0.1386459568875828],
-    [0.04314000592110798, 0.0, -0.26655959209513747, -0.18440284297844772],
-    [0.04314000592110798, 0.0, -0.20748770616039425, 0.24901260295165378],
-    [0.04314000592110798, 0.0, -0.11190738693842295, -0.3041959259836893],
-    [0.04314000592110798, 0.0, -0.02641775050183989, 0.3230487998660305],
-    [0.04314000592110798, 0.0, 0.02641775050183989, -0.3230487998660305],
-    [0.04314000592110798, 0.0, 0.11190738693842295, 0.3041959259836893],
-    [0.04314000592110798, 0.0, 0.20748770616039425, -0.24901260295165378],
-    [0.04314000592110798, 0.0, 0.26655959209513747, 0.18440284297844772],
-    [0.04314000592110798, 0.0, 0.2929773425969773, -0.1386459568875828],
-    [0.04314000592110798, 0.0, 0.3193950930988172, 0.05518332303203549],
-    [
-      0.04314000592110798, 0.02490689403139374, -0.27536550892908407,
-      0.16915054761482606,
-    ],
-    [
-      0.04314000592110798, 0.02490689403139374, -0.23262069071079255,
-      0.22433387064686156,
-    ],
-    [
-      0.04314000592110798, 0.02490689403139374, -0.07796848555407804,
-      -0.3136223629248599,
-    ],
-    [
-      0.04314000592110798, 0.02490689403139374, -0.00880591683394663,
-      -0.3230487998660305,
-    ],
-    [
-      0.04314000592110798, 0.02490689403139374, 0.28417142576303067,
-      0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, 0.02490689403139374, 0.3105891762648706,
-      0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, 0.06520709512838069, -0.3160315321703545,
-      -0.030504590727243264,
-    ],
-    [
-      0.04314000592110798, 0.06520709512838069, -0.24686896345022302,
-      -0.19965513834206933,
-    ],
-    [
-      0.04314000592110798, 0.06520709512838069, -0.04947194007521703,
-      0.3136223629248599,
-    ],
-    [
-      0.04314000592110798, 0.06520709512838069, 0.13159801558333734,
-      0.28894363062006767,
-    ],
-    [
-      0.04314000592110798, 0.06520709512838069, 0.18443351658701712,
-      -0.25843903989282435,
-    ],
-    [
-      0.04314000592110798, 0.06520709512838069, 0.29634090352544007,
-      -0.11396722458279057,
-    ],
-    [
-      0.04314000592110798, 0.10550729622536767, -0.3038620544079451,
-      -0.03993102766841386,
-    ],
-    [
-      0.04314000592110798, 0.10550729622536767, -0.2447901684732019,
-      -0.18440284297844772,
-    ],
-    [
-      0.04314000592110798, 0.10550729622536767, -0.03730246231280765,
-      0.3041959259836893,
-    ],
-    [
-      0.04314000592110798, 0.10550729622536767, 0.11734974284390684,
-      0.28311777219761664,
-    ],
-    [
-      0.04314000592110798, 0.10550729622536767, 0.18651231156403825,
-      -0.24318674452920275,
-    ],
-    [
-      0.04314000592110798, 0.10550729622536767, 0.28209263078600955,
-      -0.11979308300524161,
-    ],
-    [
-      0.04314000592110798, 0.1458074973223546, -0.27536550892908407,
-      -0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, 0.1458074973223546, -0.2590384412126324,
-      -0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, 0.1458074973223546, 0.01761183366789326,
-      0.28894363062006767,
-    ],
-    [
-      0.04314000592110798, 0.1458074973223546, 0.06035665188618479,
-      0.28311777219761664,
-    ],
-    [
-      0.04314000592110798, 0.1458074973223546, 0.2150088570428993,
-      -0.1938292799196183,
-    ],
-    [
-      0.04314000592110798, 0.1458074973223546, 0.24142660754473916,
-      -0.15972411067365544,
-    ],
-    [
-      0.04314000592110798, 0.19562128538514212, -0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, 0.19562128538514212, -0.18106995565855438,
-      0.18440284297844772,
-    ],
-    [
-      0.04314000592110798, 0.19562128538514212, -0.0691625687201314,
-      -0.24901260295165378,
-    ],
-    [0.04314000592110798, 0.19562128538514212, 0.0, -0.25843903989282435],
-    [
-      0.04314000592110798, 0.19562128538514212, 0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, 0.19562128538514212, 0.2502325243786858,
-      0.06460975997320609,
-    ],
-    [
-      0.04314000592110798, 0.21101459245073534, -0.22925712978232976,
-      0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, 0.21101459245073534, -0.14376749334574673,
-      0.19965513834206933,
-    ],
-    [
-      0.04314000592110798, 0.21101459245073534, -0.10102267512745519,
-      -0.22433387064686156,
-    ],
-    [
-      0.04314000592110798, 0.21101459245073534, 0.03730246231280765,
-      -0.24318674452920275,
-    ],
-    [
-      0.04314000592110798, 0.21101459245073534, 0.1919546674695221,
-      0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, 0.21101459245073534, 0.2447901684732019,
-      0.024678732304792235,
-    ],
-    [
-      0.04314000592110798, 0.25131479354772224, -0.20076058430346877,
-      0.03993102766841386,
-    ],
-    [
-      0.04314000592110798, 0.25131479354772224, -0.11527094786688569,
-      -0.16915054761482606,
-    ],
-    [
-      0.04314000592110798, 0.25131479354772224, -0.08885319736504582,
-      0.18440284297844772,
-    ],
-    [
-      0.04314000592110798, 0.25131479354772224, 0.06579900779166867,
-      -0.1938292799196183,
-    ],
-    [
-      0.04314000592110798, 0.25131479354772224, 0.13496157651180007,
-      0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, 0.25131479354772224, 0.2041241452319315,
-      -0.015252295363621632,
-    ],
-    [
-      0.04314000592110798, 0.276221687579116, -0.16682168291912386,
-      0.030504590727243264,
-    ],
-    [
-      0.04314000592110798, 0.276221687579116, -0.09765911419899245,
-      -0.1386459568875828,
-    ],
-    [
-      0.04314000592110798, 0.276221687579116, -0.07124136369715256,
-      0.15389825225120446,
-    ],
-    [
-      0.04314000592110798, 0.276221687579116, 0.05699309095772204,
-      -0.15972411067365544,
-    ],
-    [
-      0.04314000592110798, 0.276221687579116, 0.10982859196140182,
-      0.12921951994641218,
-    ],
-    [
-      0.04314000592110798, 0.276221687579116, 0.16890047789614498,
-      -0.015252295363621632,
-    ],
-    [
-      0.04314000592110798, 0.3011285816105097, -0.10646503103293906,
-      0.05518332303203549,
-    ],
-    [
-      0.04314000592110798, 0.3011285816105097, -0.08004728053109919,
-      0.08928849227799834,
-    ],
-    [
-      0.04314000592110798, 0.3011285816105097, -0.03730246231280765,
-      -0.11396722458279057,
-    ],
-    [
-      0.04314000592110798, 0.3011285816105097, 0.00544235590548388,
-      -0.11979308300524161,
-    ],
-    [
-      0.04314000592110798, 0.3011285816105097, 0.10102267512745519,
-      0.06460975997320609,
-    ],
-    [
-      0.04314000592110798, 0.3011285816105097, 0.11734974284390684,
-      0.024678732304792235,
-    ],
-    [
-      0.06980199585522442, -0.316521888676103, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, -0.316521888676103, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, -0.316521888676103, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, -0.316521888676103, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, -0.316521888676103, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, -0.316521888676103, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, -0.26082838051352275, -0.15801576608517726,
-      0.09511435070044935,
-    ],
-    [
-      0.06980199585522442, -0.26082838051352275, -0.13159801558333734,
-      0.12921951994641218,
-    ],
-    [
-      0.06980199585522442, -0.26082838051352275, -0.04610837914675428,
-      -0.1785769845559967,
-    ],
-    [
-      0.06980199585522442, -0.26082838051352275, -0.0033635609284627483,
-      -0.18440284297844772,
-    ],
-    [
-      0.06980199585522442, -0.26082838051352275, 0.16137932701364,
-      0.08928849227799834,
-    ],
-    [
-      0.06980199585522442, -0.26082838051352275, 0.17770639473009164,
-      0.04935746460958447,
-    ],
-    [
-      0.06980199585522442, -0.23592148648212907, -0.19323943342096372,
-      0.09511435070044935,
-    ],
-    [
-      0.06980199585522442, -0.23592148648212907, -0.140403932417284,
-      0.16332468919237503,
-    ],
-    [
-      0.06980199585522442, -0.23592148648212907, -0.07124136369715256,
-      -0.20325571686078892,
-    ],
-    [
-      0.06980199585522442, -0.23592148648212907, 0.01424827273943051,
-      -0.21490743370569096,
-    ],
-    [
-      0.06980199585522442, -0.23592148648212907, 0.17899116068153326,
-      0.11979308300524161,
-    ],
-    [
-      0.06980199585522442, -0.23592148648212907, 0.2116452961144365,
-      0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, -0.21101459245073534, -0.20204535025491038,
-      0.12921951994641218,
-    ],
-    [
-      0.06980199585522442, -0.21101459245073534, -0.17562759975307046,
-      0.16332468919237503,
-    ],
-    [
-      0.06980199585522442, -0.21101459245073534, -0.05362953002925929,
-      -0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, -0.21101459245073534, -0.01088471181096776,
-      -0.23958616601048321,
-    ],
-    [
-      0.06980199585522442, -0.21101459245073534, 0.2129300620658781,
-      0.11036664606407098,
-    ],
-    [
-      0.06980199585522442, -0.21101459245073534, 0.22925712978232976,
-      0.07043561839565712,
-    ],
-    [
-      0.06980199585522442, -0.1458074973223546, -0.28417142576303067,
-      0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, -0.1458074973223546, -0.19868178932644764,
-      -0.20325571686078892,
-    ],
-    [
-      0.06980199585522442, -0.1458074973223546, -0.07668371960263642,
-      0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, -0.1458074973223546, 0.1370403714888212,
-      -0.24901260295165378,
-    ],
-    [
-      0.06980199585522442, -0.1458074973223546, 0.14713105427420947,
-      0.24318674452920275,
-    ],
-    [
-      0.06980199585522442, -0.1458074973223546, 0.27536550892908407,
-      -0.07043561839565712,
-    ],
-    [
-      0.06980199585522442, -0.13041419025676138, -0.2896137816685146,
-      -0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, -0.13041419025676138, -0.23054189573377137,
-      -0.1785769845559967,
-    ],
-    [
-      0.06980199585522442, -0.13041419025676138, -0.03938125728982878,
-      0.28894363062006767,
-    ],
-    [
-      0.06980199585522442, -0.13041419025676138, 0.11527094786688569,
-      0.267865476833995,
-    ],
-    [
-      0.06980199585522442, -0.13041419025676138, 0.17434283380162885,
-      -0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, -0.13041419025676138, 0.26992315302360015,
-      -0.11036664606407098,
-    ],
-    [
-      0.06980199585522442, -0.12090060329096089, -0.2929773425969773,
-      0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, -0.12090060329096089, -0.18106995565855438,
-      -0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, -0.12090060329096089, -0.11190738693842295,
-      0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, -0.12090060329096089, 0.11190738693842295,
-      -0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, -0.12090060329096089, 0.18106995565855438,
-      0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, -0.12090060329096089, 0.2929773425969773,
-      -0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, -0.09011398915977445, -0.3038620544079451,
-      -0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, -0.09011398915977445, -0.2447901684732019,
-      -0.18440284297844772,
-    ],
-    [
-      0.06980199585522442, -0.09011398915977445, -0.03730246231280765,
-      0.3041959259836893,
-    ],
-    [
-      0.06980199585522442, -0.09011398915977445, 0.11734974284390684,
-      0.28311777219761664,
-    ],
-    [
-      0.06980199585522442, -0.09011398915977445, 0.18651231156403825,
-      -0.24318674452920275,
-    ],
-    [
-      0.06980199585522442, -0.09011398915977445, 0.28209263078600955,
-      -0.11979308300524161,
-    ],
-    [
-      0.06980199585522442, -0.08060040219397391, -0.3072256153364078,
-      0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, -0.08060040219397391, -0.1953182283979849,
-      -0.23958616601048321,
-    ],
-    [
-      0.06980199585522442, -0.08060040219397391, -0.10982859196140182,
-      0.28894363062006767,
-    ],
-    [
-      0.06980199585522442, -0.08060040219397391, 0.12407686470083232,
-      -0.28311777219761664,
-    ],
-    [
-      0.06980199585522442, -0.08060040219397391, 0.1831487506355755,
-      0.24901260295165378,
-    ],
-    [
-      0.06980199585522442, -0.08060040219397391, 0.3051468203593867,
-      -0.04935746460958447,
-    ],
-    [
-      0.06980199585522442, -0.06520709512838069, -0.3126679712418917,
-      -0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, -0.06520709512838069, -0.22717833480530863,
-      -0.21490743370569096,
-    ],
-    [
-      0.06980199585522442, -0.06520709512838069, -0.07252612964859417,
-      0.3041959259836893,
-    ],
-    [
-      0.06980199585522442, -0.06520709512838069, 0.15128864422825172,
-      0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, -0.06520709512838069, 0.16137932701364,
-      -0.267865476833995,
-    ],
-    [
-      0.06980199585522442, -0.06520709512838069, 0.29970446445390286,
-      -0.08928849227799834,
-    ],
-    [
-      0.06980199585522442, 0.06520709512838069, -0.29970446445390286,
-      0.08928849227799834,
-    ],
-    [
-      0.06980199585522442, 0.06520709512838069, -0.16137932701364,
-      0.267865476833995,
-    ],
-    [
-      0.06980199585522442, 0.06520709512838069, -0.15128864422825172,
-      -0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, 0.06520709512838069, 0.07252612964859417,
-      -0.3041959259836893,
-    ],
-    [
-      0.06980199585522442, 0.06520709512838069, 0.22717833480530863,
-      0.21490743370569096,
-    ],
-    [
-      0.06980199585522442, 0.06520709512838069, 0.3126679712418917,
-      0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, 0.08060040219397391, -0.3051468203593867,
-      0.04935746460958447,
-    ],
-    [
-      0.06980199585522442, 0.08060040219397391, -0.1831487506355755,
-      -0.24901260295165378,
-    ],
-    [
-      0.06980199585522442, 0.08060040219397391, -0.12407686470083232,
-      0.28311777219761664,
-    ],
-    [
-      0.06980199585522442, 0.08060040219397391, 0.10982859196140182,
-      -0.28894363062006767,
-    ],
-    [
-      0.06980199585522442, 0.08060040219397391, 0.1953182283979849,
-      0.23958616601048321,
-    ],
-    [
-      0.06980199585522442, 0.08060040219397391, 0.3072256153364078,
-      -0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, 0.09011398915977445, -0.28209263078600955,
-      0.11979308300524161,
-    ],
-    [
-      0.06980199585522442, 0.09011398915977445, -0.18651231156403825,
-      0.24318674452920275,
-    ],
-    [
-      0.06980199585522442, 0.09011398915977445, -0.11734974284390684,
-      -0.28311777219761664,
-    ],
-    [
-      0.06980199585522442, 0.09011398915977445, 0.03730246231280765,
-      -0.3041959259836893,
-    ],
-    [
-      0.06980199585522442, 0.09011398915977445, 0.2447901684732019,
-      0.18440284297844772,
-    ],
-    [
-      0.06980199585522442, 0.09011398915977445, 0.3038620544079451,
-      0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, 0.12090060329096089, -0.2929773425969773,
-      0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, 0.12090060329096089, -0.18106995565855438,
-      -0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, 0.12090060329096089, -0.11190738693842295,
-      0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, 0.12090060329096089, 0.11190738693842295,
-      -0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, 0.12090060329096089, 0.18106995565855438,
-      0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, 0.12090060329096089, 0.2929773425969773,
-      -0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, 0.13041419025676138, -0.26992315302360015,
-      0.11036664606407098,
-    ],
-    [
-      0.06980199585522442, 0.13041419025676138, -0.17434283380162885,
-      0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, 0.13041419025676138, -0.11527094786688569,
-      -0.267865476833995,
-    ],
-    [
-      0.06980199585522442, 0.13041419025676138, 0.03938125728982878,
-      -0.28894363062006767,
-    ],
-    [
-      0.06980199585522442, 0.13041419025676138, 0.23054189573377137,
-      0.1785769845559967,
-    ],
-    [
-      0.06980199585522442, 0.13041419025676138, 0.2896137816685146,
-      0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, 0.1458074973223546, -0.27536550892908407,
-      0.07043561839565712,
-    ],
-    [
-      0.06980199585522442, 0.1458074973223546, -0.14713105427420947,
-      -0.24318674452920275,
-    ],
-    [
-      0.06980199585522442, 0.1458074973223546, -0.1370403714888212,
-      0.24901260295165378,
-    ],
-    [
-      0.06980199585522442, 0.1458074973223546, 0.07668371960263642,
-      -0.27369133525644607,
-    ],
-    [
-      0.06980199585522442, 0.1458074973223546, 0.19868178932644764,
-      0.20325571686078892,
-    ],
-    [
-      0.06980199585522442, 0.1458074973223546, 0.28417142576303067,
-      -0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, 0.21101459245073534, -0.22925712978232976,
-      -0.07043561839565712,
-    ],
-    [
-      0.06980199585522442, 0.21101459245073534, -0.2129300620658781,
-      -0.11036664606407098,
-    ],
-    [
-      0.06980199585522442, 0.21101459245073534, 0.01088471181096776,
-      0.23958616601048321,
-    ],
-    [
-      0.06980199585522442, 0.21101459245073534, 0.05362953002925929,
-      0.23376030758803218,
-    ],
-    [
-      0.06980199585522442, 0.21101459245073534, 0.17562759975307046,
-      -0.16332468919237503,
-    ],
-    [
-      0.06980199585522442, 0.21101459245073534, 0.20204535025491038,
-      -0.12921951994641218,
-    ],
-    [
-      0.06980199585522442, 0.23592148648212907, -0.2116452961144365,
-      -0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, 0.23592148648212907, -0.17899116068153326,
-      -0.11979308300524161,
-    ],
-    [
-      0.06980199585522442, 0.23592148648212907, -0.01424827273943051,
-      0.21490743370569096,
-    ],
-    [
-      0.06980199585522442, 0.23592148648212907, 0.07124136369715256,
-      0.20325571686078892,
-    ],
-    [
-      0.06980199585522442, 0.23592148648212907, 0.140403932417284,
-      -0.16332468919237503,
-    ],
-    [
-      0.06980199585522442, 0.23592148648212907, 0.19323943342096372,
-      -0.09511435070044935,
-    ],
-    [
-      0.06980199585522442, 0.26082838051352275, -0.17770639473009164,
-      -0.04935746460958447,
-    ],
-    [
-      0.06980199585522442, 0.26082838051352275, -0.16137932701364,
-      -0.08928849227799834,
-    ],
-    [
-      0.06980199585522442, 0.26082838051352275, 0.0033635609284627483,
-      0.18440284297844772,
-    ],
-    [
-      0.06980199585522442, 0.26082838051352275, 0.04610837914675428,
-      0.1785769845559967,
-    ],
-    [
-      0.06980199585522442, 0.26082838051352275, 0.13159801558333734,
-      -0.12921951994641218,
-    ],
-    [
-      0.06980199585522442, 0.26082838051352275, 0.15801576608517726,
-      -0.09511435070044935,
-    ],
-    [
-      0.06980199585522442, 0.316521888676103, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      0.06980199585522442, 0.316521888676103, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, 0.316521888676103, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, 0.316521888676103, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      0.06980199585522442, 0.316521888676103, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      0.06980199585522442, 0.316521888676103, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [0.07804100384872018, -0.29637178812760945, -0.11398618191544407, 0.0],
-    [
-      0.07804100384872018, -0.29637178812760945, -0.0813320464825408,
-      -0.07986205533682772,
-    ],
-    [
-      0.07804100384872018, -0.29637178812760945, -0.02849654547886102,
-      0.11036664606407098,
-    ],
-    [
-      0.07804100384872018, -0.29637178812760945, 0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, -0.29637178812760945, 0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, -0.29637178812760945, 0.10982859196140182,
-      -0.030504590727243264,
-    ],
-    [
-      0.07804100384872018, -0.2809784810620163, -0.14584628832276786,
-      0.024678732304792235,
-    ],
-    [
-      0.07804100384872018, -0.2809784810620163, -0.08677440238802467,
-      -0.11979308300524161,
-    ],
-    [
-      0.07804100384872018, -0.2809784810620163, -0.06035665188618479,
-      0.1350453783688632,
-    ],
-    [
-      0.07804100384872018, -0.2809784810620163, 0.05155073505223816,
-      -0.1386459568875828,
-    ],
-    [
-      0.07804100384872018, -0.2809784810620163, 0.09429555327052969,
-      0.11396722458279057,
-    ],
-    [
-      0.07804100384872018, -0.2809784810620163, 0.14713105427420947,
-      -0.015252295363621632,
-    ],
-    [
-      0.07804100384872018, -0.23116469299922882, -0.2162936229943409,
-      0.024678732304792235,
-    ],
-    [
-      0.07804100384872018, -0.23116469299922882, -0.1370403714888212,
-      -0.16915054761482606,
-    ],
-    [
-      0.07804100384872018, -0.23116469299922882, -0.07796848555407804,
-      0.20325571686078892,
-    ],
-    [
-      0.07804100384872018, -0.23116469299922882, 0.08677440238802467,
-      -0.19965513834206933,
-    ],
-    [
-      0.07804100384872018, -0.23116469299922882, 0.1295192206063162,
-      0.1749764060372771,
-    ],
-    [
-      0.07804100384872018, -0.23116469299922882, 0.2150088570428993,
-      -0.03410516924596284,
-    ],
-    [0.07804100384872018, -0.20625779896783508, -0.24142660754473916, 0.0],
-    [
-      0.07804100384872018, -0.20625779896783508, -0.17226403882460772,
-      -0.16915054761482606,
-    ],
-    [
-      0.07804100384872018, -0.20625779896783508, -0.06035665188618479,
-      0.23376030758803218,
-    ],
-    [
-      0.07804100384872018, -0.20625779896783508, 0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, -0.20625779896783508, 0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, -0.20625779896783508, 0.23262069071079255,
-      -0.06460975997320609,
-    ],
-    [
-      0.07804100384872018, -0.17547118483664864, -0.25231131935570694,
-      -0.07986205533682772,
-    ],
-    [
-      0.07804100384872018, -0.17547118483664864, -0.2359842516392553,
-      -0.11979308300524161,
-    ],
-    [
-      0.07804100384872018, -0.17547118483664864, 0.01424827273943051,
-      0.26426489831527544,
-    ],
-    [
-      0.07804100384872018, -0.17547118483664864, 0.05699309095772204,
-      0.25843903989282435,
-    ],
-    [
-      0.07804100384872018, -0.17547118483664864, 0.1953182283979849,
-      -0.1785769845559967,
-    ],
-    [
-      0.07804100384872018, -0.17547118483664864, 0.22173597889982477,
-      -0.14447181531003384,
-    ],
-    [
-      0.07804100384872018, -0.15056429080525485, -0.2447901684732019,
-      0.1350453783688632,
-    ],
-    [
-      0.07804100384872018, -0.15056429080525485, -0.1919546674695221,
-      0.20325571686078892,
-    ],
-    [
-      0.07804100384872018, -0.15056429080525485, -0.08004728053109919,
-      -0.267865476833995,
-    ],
-    [
-      0.07804100384872018, -0.15056429080525485, 0.00544235590548388,
-      -0.27951719367889705,
-    ],
-    [
-      0.07804100384872018, -0.15056429080525485, 0.23934781256771803,
-      0.14447181531003384,
-    ],
-    [
-      0.07804100384872018, -0.15056429080525485, 0.2720019480006213,
-      0.06460975997320609,
-    ],
-    [
-      0.07804100384872018, -0.12565739677386112, -0.26992315302360015,
-      0.11036664606407098,
-    ],
-    [
-      0.07804100384872018, -0.12565739677386112, -0.17434283380162885,
-      0.23376030758803218,
-    ],
-    [
-      0.07804100384872018, -0.12565739677386112, -0.11527094786688569,
-      -0.267865476833995,
-    ],
-    [
-      0.07804100384872018, -0.12565739677386112, 0.03938125728982878,
-      -0.28894363062006767,
-    ],
-    [
-      0.07804100384872018, -0.12565739677386112, 0.23054189573377137,
-      0.1785769845559967,
-    ],
-    [
-      0.07804100384872018, -0.12565739677386112, 0.2896137816685146,
-      0.03410516924596284,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, -0.2984196985024612,
-      -0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, -0.2984196985024612,
-      0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, -0.28209263078600955,
-      -0.1386459568875828,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, -0.1701852438475866,
-      0.26426489831527544,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, -0.14376749334574673,
-      -0.27951719367889705,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.020975394596356008,
-      0.3136223629248599,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.06372021281464754,
-      -0.3077965045024089,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.06372021281464754,
-      0.3077965045024089,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.23469948568781368,
-      -0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.23469948568781368,
-      0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.26111723618965355,
-      -0.1749764060372771,
-    ],
-    [
-      0.07804100384872018, -0.045056994579887225, 0.3139527371933333,
-      0.015252295363621632,
-    ],
-    [
-      0.07804100384872018, -0.0047567934829002585, -0.29634090352544007,
-      0.11396722458279057,
-    ],
-    [
-      0.07804100384872018, -0.0047567934829002585, -0.18443351658701712,
-      0.25843903989282435,
-    ],
-    [
-      0.07804100384872018, -0.0047567934829002585, -0.13159801558333734,
-      -0.28894363062006767,
-    ],
-    [
-      0.07804100384872018, -0.0047567934829002585, 0.04947194007521703,
-      -0.3136223629248599,
-    ],
-    [
-      0.07804100384872018, -0.0047567934829002585, 0.24686896345022302,
-      0.19965513834206933,
-    ],
-    [
-      0.07804100384872018, -0.0047567934829002585, 0.3160315321703545,
-      0.030504590727243264,
-    ],
-    [
-      0.07804100384872018, 0.0047567934829002585, -0.3160315321703545,
-      -0.030504590727243264,
-    ],
-    [
-      0.07804100384872018, 0.0047567934829002585, -0.24686896345022302,
-      -0.19965513834206933,
-    ],
-    [
-      0.07804100384872018, 0.0047567934829002585, -0.04947194007521703,
-      0.3136223629248599,
-    ],
-    [
-      0.07804100384872018, 0.0047567934829002585, 0.13159801558333734,
-      0.28894363062006767,
-    ],
-    [
-      0.07804100384872018, 0.0047567934829002585, 0.18443351658701712,
-      -0.25843903989282435,
-    ],
-    [
-      0.07804100384872018, 0.0047567934829002585, 0.29634090352544007,
-      -0.11396722458279057,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.3139527371933333,
-      -0.015252295363621632,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.26111723618965355,
-      0.1749764060372771,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.23469948568781368,
-      -0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.23469948568781368,
-      0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.06372021281464754,
-      -0.3077965045024089,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.06372021281464754,
-      0.3077965045024089,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, -0.020975394596356008,
-      -0.3136223629248599,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, 0.14376749334574673,
-      0.27951719367889705,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, 0.1701852438475866,
-      -0.26426489831527544,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, 0.28209263078600955,
-      0.1386459568875828,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, 0.2984196985024612,
-      -0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, 0.045056994579887225, 0.2984196985024612,
-      0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, 0.12565739677386112, -0.2896137816685146,
-      -0.03410516924596284,
-    ],
-    [
-      0.07804100384872018, 0.12565739677386112, -0.23054189573377137,
-      -0.1785769845559967,
-    ],
-    [
-      0.07804100384872018, 0.12565739677386112, -0.03938125728982878,
-      0.28894363062006767,
-    ],
-    [
-      0.07804100384872018, 0.12565739677386112, 0.11527094786688569,
-      0.267865476833995,
-    ],
-    [
-      0.07804100384872018, 0.12565739677386112, 0.17434283380162885,
-      -0.23376030758803218,
-    ],
-    [
-      0.07804100384872018, 0.12565739677386112, 0.26992315302360015,
-      -0.11036664606407098,
-    ],
-    [
-      0.07804100384872018, 0.15056429080525485, -0.2720019480006213,
-      -0.06460975997320609,
-    ],
-    [
-      0.07804100384872018, 0.15056429080525485, -0.23934781256771803,
-      -0.14447181531003384,
-    ],
-    [
-      0.07804100384872018, 0.15056429080525485, -0.00544235590548388,
-      0.27951719367889705,
-    ],
-    [
-      0.07804100384872018, 0.15056429080525485, 0.08004728053109919,
-      0.267865476833995,
-    ],
-    [
-      0.07804100384872018, 0.15056429080525485, 0.1919546674695221,
-      -0.20325571686078892,
-    ],
-    [
-      0.07804100384872018, 0.15056429080525485, 0.2447901684732019,
-      -0.1350453783688632,
-    ],
-    [
-      0.07804100384872018, 0.17547118483664864, -0.22173597889982477,
-      0.14447181531003384,
-    ],
-    [
-      0.07804100384872018, 0.17547118483664864, -0.1953182283979849,
-      0.1785769845559967,
-    ],
-    [
-      0.07804100384872018, 0.17547118483664864, -0.05699309095772204,
-      -0.25843903989282435,
-    ],
-    [
-      0.07804100384872018, 0.17547118483664864, -0.01424827273943051,
-      -0.26426489831527544,
-    ],
-    [
-      0.07804100384872018, 0.17547118483664864, 0.2359842516392553,
-      0.11979308300524161,
-    ],
-    [
-      0.07804100384872018, 0.17547118483664864, 0.25231131935570694,
-      0.07986205533682772,
-    ],
-    [
-      0.07804100384872018, 0.20625779896783508, -0.23262069071079255,
-      0.06460975997320609,
-    ],
-    [
-      0.07804100384872018, 0.20625779896783508, -0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, 0.20625779896783508, -0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      0.07804100384872018, 0.20625779896783508, 0.06035665188618479,
-      -0.23376030758803218,
-    ],
-    [
-      0.07804100384872018, 0.20625779896783508, 0.17226403882460772,
-      0.16915054761482606,
-    ],
-    [0.07804100384872018, 0.20625779896783508, 0.24142660754473916, 0.0],
-    [
-      0.07804100384872018, 0.23116469299922882, -0.2150088570428993,
-      0.03410516924596284,
-    ],
-    [
-      0.07804100384872018, 0.23116469299922882, -0.1295192206063162,
-      -0.1749764060372771,
-    ],
-    [
-      0.07804100384872018, 0.23116469299922882, -0.08677440238802467,
-      0.19965513834206933,
-    ],
-    [
-      0.07804100384872018, 0.23116469299922882, 0.07796848555407804,
-      -0.20325571686078892,
-    ],
-    [
-      0.07804100384872018, 0.23116469299922882, 0.1370403714888212,
-      0.16915054761482606,
-    ],
-    [
-      0.07804100384872018, 0.23116469299922882, 0.2162936229943409,
-      -0.024678732304792235,
-    ],
-    [
-      0.07804100384872018, 0.2809784810620163, -0.14713105427420947,
-      0.015252295363621632,
-    ],
-    [
-      0.07804100384872018, 0.2809784810620163, -0.09429555327052969,
-      -0.11396722458279057,
-    ],
-    [
-      0.07804100384872018, 0.2809784810620163, -0.05155073505223816,
-      0.1386459568875828,
-    ],
-    [
-      0.07804100384872018, 0.2809784810620163, 0.06035665188618479,
-      -0.1350453783688632,
-    ],
-    [
-      0.07804100384872018, 0.2809784810620163, 0.08677440238802467,
-      0.11979308300524161,
-    ],
-    [
-      0.07804100384872018, 0.2809784810620163, 0.14584628832276786,
-      -0.024678732304792235,
-    ],
-    [
-      0.07804100384872018, 0.29637178812760945, -0.10982859196140182,
-      0.030504590727243264,
-    ],
-    [
-      0.07804100384872018, 0.29637178812760945, -0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, 0.29637178812760945, -0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      0.07804100384872018, 0.29637178812760945, 0.02849654547886102,
-      -0.11036664606407098,
-    ],
-    [
-      0.07804100384872018, 0.29637178812760945, 0.0813320464825408,
-      0.07986205533682772,
-    ],
-    [0.07804100384872018, 0.29637178812760945, 0.11398618191544407, 0.0],
-    [
-      0.0913719988157784, -0.30406844166040614, -0.07668371960263642,
-      0.015252295363621632,
-    ],
-    [
-      0.0913719988157784, -0.30406844166040614, -0.04402958416973315,
-      -0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, -0.30406844166040614, -0.0339389013843449,
-      0.07043561839565712,
-    ],
-    [
-      0.0913719988157784, -0.30406844166040614, 0.025132984550398273,
-      -0.07403619691437671,
-    ],
-    [
-      0.0913719988157784, -0.30406844166040614, 0.05155073505223816,
-      0.05878390155075507,
-    ],
-    [
-      0.0913719988157784, -0.30406844166040614, 0.07796848555407804,
-      -0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, -0.2732818275292197, -0.140403932417284,
-      0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, -0.2732818275292197, -0.09765911419899245,
-      0.11979308300524161,
-    ],
-    [
-      0.0913719988157784, -0.2732818275292197, -0.05491429598070091,
-      -0.14447181531003384,
-    ],
-    [
-      0.0913719988157784, -0.2732818275292197, 0.01424827273943051,
-      -0.15389825225120446,
-    ],
-    [
-      0.0913719988157784, -0.2732818275292197, 0.12615565967785347,
-      0.08928849227799834,
-    ],
-    [
-      0.0913719988157784, -0.2732818275292197, 0.15257341017969334,
-      0.024678732304792235,
-    ],
-    [
-      0.0913719988157784, -0.22346803946643218, -0.210851267088857,
-      0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, -0.22346803946643218, -0.11527094786688569,
-      0.18800342149716726,
-    ],
-    [
-      0.0913719988157784, -0.22346803946643218, -0.10518026508149744,
-      -0.1938292799196183,
-    ],
-    [
-      0.0913719988157784, -0.22346803946643218, 0.04947194007521703,
-      -0.21490743370569096,
-    ],
-    [
-      0.0913719988157784, -0.22346803946643218, 0.16137932701364,
-      0.15029767373248487,
-    ],
-    [
-      0.0913719988157784, -0.22346803946643218, 0.22045121294838316,
-      0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, -0.18316783836944522, -0.2250995398282875,
-      0.11979308300524161,
-    ],
-    [
-      0.0913719988157784, -0.18316783836944522, -0.17226403882460772,
-      0.18800342149716726,
-    ],
-    [
-      0.0913719988157784, -0.18316783836944522, -0.07668371960263642,
-      -0.24318674452920275,
-    ],
-    [
-      0.0913719988157784, -0.18316783836944522, 0.00880591683394663,
-      -0.2548384613741048,
-    ],
-    [
-      0.0913719988157784, -0.18316783836944522, 0.2162936229943409,
-      0.1350453783688632,
-    ],
-    [
-      0.0913719988157784, -0.18316783836944522, 0.24894775842724415,
-      0.05518332303203549,
-    ],
-    [
-      0.0913719988157784, -0.1736542514036447, -0.26111723618965355,
-      0.015252295363621632,
-    ],
-    [
-      0.0913719988157784, -0.1736542514036447, -0.17562759975307046,
-      -0.1938292799196183,
-    ],
-    [
-      0.0913719988157784, -0.1736542514036447, -0.08004728053109919,
-      0.24901260295165378,
-    ],
-    [
-      0.0913719988157784, -0.1736542514036447, 0.11734974284390684,
-      -0.23376030758803218,
-    ],
-    [
-      0.0913719988157784, -0.1736542514036447, 0.14376749334574673,
-      0.21850801222441052,
-    ],
-    [
-      0.0913719988157784, -0.1736542514036447, 0.2556748802841696,
-      -0.05518332303203549,
-    ],
-    [
-      0.0913719988157784, -0.14286763727245827, -0.2720019480006213,
-      -0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, -0.14286763727245827, -0.23934781256771803,
-      -0.14447181531003384,
-    ],
-    [
-      0.0913719988157784, -0.14286763727245827, -0.00544235590548388,
-      0.27951719367889705,
-    ],
-    [
-      0.0913719988157784, -0.14286763727245827, 0.08004728053109919,
-      0.267865476833995,
-    ],
-    [
-      0.0913719988157784, -0.14286763727245827, 0.1919546674695221,
-      -0.20325571686078892,
-    ],
-    [
-      0.0913719988157784, -0.14286763727245827, 0.2447901684732019,
-      -0.1350453783688632,
-    ],
-    [
-      0.0913719988157784, -0.13335405030665776, -0.27536550892908407,
-      0.07043561839565712,
-    ],
-    [
-      0.0913719988157784, -0.13335405030665776, -0.14713105427420947,
-      -0.24318674452920275,
-    ],
-    [
-      0.0913719988157784, -0.13335405030665776, -0.1370403714888212,
-      0.24901260295165378,
-    ],
-    [
-      0.0913719988157784, -0.13335405030665776, 0.07668371960263642,
-      -0.27369133525644607,
-    ],
-    [
-      0.0913719988157784, -0.13335405030665776, 0.19868178932644764,
-      0.20325571686078892,
-    ],
-    [
-      0.0913719988157784, -0.13335405030665776, 0.28417142576303067,
-      -0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, -0.07766054214407755, -0.2950561375739984,
-      -0.07403619691437671,
-    ],
-    [
-      0.0913719988157784, -0.07766054214407755, -0.2624020021410952,
-      -0.15389825225120446,
-    ],
-    [
-      0.0913719988157784, -0.07766054214407755, -0.0020787949770211325,
-      0.3041959259836893,
-    ],
-    [
-      0.0913719988157784, -0.07766054214407755, 0.08341084145956193,
-      0.2925442091387872,
-    ],
-    [
-      0.0913719988157784, -0.07766054214407755, 0.2116452961144365,
-      -0.21850801222441052,
-    ],
-    [
-      0.0913719988157784, -0.07766054214407755, 0.26448079711811634,
-      -0.15029767373248487,
-    ],
-    [
-      0.0913719988157784, -0.052753648112683835, -0.3038620544079451,
-      0.05878390155075507,
-    ],
-    [
-      0.0913719988157784, -0.052753648112683835, -0.17562759975307046,
-      -0.2548384613741048,
-    ],
-    [
-      0.0913719988157784, -0.052753648112683835, -0.13288278153477895,
-      0.27951719367889705,
-    ],
-    [
-      0.0913719988157784, -0.052753648112683835, 0.10102267512745519,
-      -0.2925442091387872,
-    ],
-    [
-      0.0913719988157784, -0.052753648112683835, 0.2028393792804899,
-      0.23376030758803218,
-    ],
-    [
-      0.0913719988157784, -0.052753648112683835, 0.30851038128784947,
-      -0.024678732304792235,
-    ],
-    [
-      0.0913719988157784, -0.027846754081290087, -0.3126679712418917,
-      -0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, -0.027846754081290087, -0.22717833480530863,
-      -0.21490743370569096,
-    ],
-    [
-      0.0913719988157784, -0.027846754081290087, -0.07252612964859417,
-      0.3041959259836893,
-    ],
-    [
-      0.0913719988157784, -0.027846754081290087, 0.15128864422825172,
-      0.27369133525644607,
-    ],
-    [
-      0.0913719988157784, -0.027846754081290087, 0.16137932701364,
-      -0.267865476833995,
-    ],
-    [
-      0.0913719988157784, -0.027846754081290087, 0.29970446445390286,
-      -0.08928849227799834,
-    ],
-    [
-      0.0913719988157784, 0.027846754081290087, -0.29970446445390286,
-      0.08928849227799834,
-    ],
-    [
-      0.0913719988157784, 0.027846754081290087, -0.16137932701364,
-      0.267865476833995,
-    ],
-    [
-      0.0913719988157784, 0.027846754081290087, -0.15128864422825172,
-      -0.27369133525644607,
-    ],
-    [
-      0.0913719988157784, 0.027846754081290087, 0.07252612964859417,
-      -0.3041959259836893,
-    ],
-    [
-      0.0913719988157784, 0.027846754081290087, 0.22717833480530863,
-      0.21490743370569096,
-    ],
-    [
-      0.0913719988157784, 0.027846754081290087, 0.3126679712418917,
-      0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, 0.052753648112683835, -0.30851038128784947,
-      0.024678732304792235,
-    ],
-    [
-      0.0913719988157784, 0.052753648112683835, -0.2028393792804899,
-      -0.23376030758803218,
-    ],
-    [
-      0.0913719988157784, 0.052753648112683835, -0.10102267512745519,
-      0.2925442091387872,
-    ],
-    [
-      0.0913719988157784, 0.052753648112683835, 0.13288278153477895,
-      -0.27951719367889705,
-    ],
-    [
-      0.0913719988157784, 0.052753648112683835, 0.17562759975307046,
-      0.2548384613741048,
-    ],
-    [
-      0.0913719988157784, 0.052753648112683835, 0.3038620544079451,
-      -0.05878390155075507,
-    ],
-    [
-      0.0913719988157784, 0.07766054214407755, -0.26448079711811634,
-      0.15029767373248487,
-    ],
-    [
-      0.0913719988157784, 0.07766054214407755, -0.2116452961144365,
-      0.21850801222441052,
-    ],
-    [
-      0.0913719988157784, 0.07766054214407755, -0.08341084145956193,
-      -0.2925442091387872,
-    ],
-    [
-      0.0913719988157784, 0.07766054214407755, 0.0020787949770211325,
-      -0.3041959259836893,
-    ],
-    [
-      0.0913719988157784, 0.07766054214407755, 0.2624020021410952,
-      0.15389825225120446,
-    ],
-    [
-      0.0913719988157784, 0.07766054214407755, 0.2950561375739984,
-      0.07403619691437671,
-    ],
-    [
-      0.0913719988157784, 0.13335405030665776, -0.28417142576303067,
-      0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, 0.13335405030665776, -0.19868178932644764,
-      -0.20325571686078892,
-    ],
-    [
-      0.0913719988157784, 0.13335405030665776, -0.07668371960263642,
-      0.27369133525644607,
-    ],
-    [
-      0.0913719988157784, 0.13335405030665776, 0.1370403714888212,
-      -0.24901260295165378,
-    ],
-    [
-      0.0913719988157784, 0.13335405030665776, 0.14713105427420947,
-      0.24318674452920275,
-    ],
-    [
-      0.0913719988157784, 0.13335405030665776, 0.27536550892908407,
-      -0.07043561839565712,
-    ],
-    [
-      0.0913719988157784, 0.14286763727245827, -0.2447901684732019,
-      0.1350453783688632,
-    ],
-    [
-      0.0913719988157784, 0.14286763727245827, -0.1919546674695221,
-      0.20325571686078892,
-    ],
-    [
-      0.0913719988157784, 0.14286763727245827, -0.08004728053109919,
-      -0.267865476833995,
-    ],
-    [
-      0.0913719988157784, 0.14286763727245827, 0.00544235590548388,
-      -0.27951719367889705,
-    ],
-    [
-      0.0913719988157784, 0.14286763727245827, 0.23934781256771803,
-      0.14447181531003384,
-    ],
-    [
-      0.0913719988157784, 0.14286763727245827, 0.2720019480006213,
-      0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, 0.1736542514036447, -0.2556748802841696,
-      0.05518332303203549,
-    ],
-    [
-      0.0913719988157784, 0.1736542514036447, -0.14376749334574673,
-      -0.21850801222441052,
-    ],
-    [
-      0.0913719988157784, 0.1736542514036447, -0.11734974284390684,
-      0.23376030758803218,
-    ],
-    [
-      0.0913719988157784, 0.1736542514036447, 0.08004728053109919,
-      -0.24901260295165378,
-    ],
-    [
-      0.0913719988157784, 0.1736542514036447, 0.17562759975307046,
-      0.1938292799196183,
-    ],
-    [
-      0.0913719988157784, 0.1736542514036447, 0.26111723618965355,
-      -0.015252295363621632,
-    ],
-    [
-      0.0913719988157784, 0.18316783836944522, -0.24894775842724415,
-      -0.05518332303203549,
-    ],
-    [
-      0.0913719988157784, 0.18316783836944522, -0.2162936229943409,
-      -0.1350453783688632,
-    ],
-    [
-      0.0913719988157784, 0.18316783836944522, -0.00880591683394663,
-      0.2548384613741048,
-    ],
-    [
-      0.0913719988157784, 0.18316783836944522, 0.07668371960263642,
-      0.24318674452920275,
-    ],
-    [
-      0.0913719988157784, 0.18316783836944522, 0.17226403882460772,
-      -0.18800342149716726,
-    ],
-    [
-      0.0913719988157784, 0.18316783836944522, 0.2250995398282875,
-      -0.11979308300524161,
-    ],
-    [
-      0.0913719988157784, 0.22346803946643218, -0.22045121294838316,
-      -0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, 0.22346803946643218, -0.16137932701364,
-      -0.15029767373248487,
-    ],
-    [
-      0.0913719988157784, 0.22346803946643218, -0.04947194007521703,
-      0.21490743370569096,
-    ],
-    [
-      0.0913719988157784, 0.22346803946643218, 0.10518026508149744,
-      0.1938292799196183,
-    ],
-    [
-      0.0913719988157784, 0.22346803946643218, 0.11527094786688569,
-      -0.18800342149716726,
-    ],
-    [
-      0.0913719988157784, 0.22346803946643218, 0.210851267088857,
-      -0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, 0.2732818275292197, -0.15257341017969334,
-      -0.024678732304792235,
-    ],
-    [
-      0.0913719988157784, 0.2732818275292197, -0.12615565967785347,
-      -0.08928849227799834,
-    ],
-    [
-      0.0913719988157784, 0.2732818275292197, -0.01424827273943051,
-      0.15389825225120446,
-    ],
-    [
-      0.0913719988157784, 0.2732818275292197, 0.05491429598070091,
-      0.14447181531003384,
-    ],
-    [
-      0.0913719988157784, 0.2732818275292197, 0.09765911419899245,
-      -0.11979308300524161,
-    ],
-    [
-      0.0913719988157784, 0.2732818275292197, 0.140403932417284,
-      -0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, 0.30406844166040614, -0.07796848555407804,
-      0.005825858422451027,
-    ],
-    [
-      0.0913719988157784, 0.30406844166040614, -0.05155073505223816,
-      -0.05878390155075507,
-    ],
-    [
-      0.0913719988157784, 0.30406844166040614, -0.025132984550398273,
-      0.07403619691437671,
-    ],
-    [
-      0.0913719988157784, 0.30406844166040614, 0.0339389013843449,
-      -0.07043561839565712,
-    ],
-    [
-      0.0913719988157784, 0.30406844166040614, 0.04402958416973315,
-      0.06460975997320609,
-    ],
-    [
-      0.0913719988157784, 0.30406844166040614, 0.07668371960263642,
-      -0.015252295363621632,
-    ],
-    [
-      0.10470299378283662, -0.29637178812760945, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      0.10470299378283662, -0.29637178812760945, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      0.10470299378283662, -0.29637178812760945, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      0.10470299378283662, -0.2809784810620163, -0.10310147010447632,
-      0.07986205533682772,
-    ],
-    [
-      0.10470299378283662, -0.2809784810620163, -0.01761183366789326,
-      -0.12921951994641218,
-    ],
-    [
-      0.10470299378283662, -0.2809784810620163, 0.12071330377236958,
-      0.04935746460958447,
-    ],
-    [
-      0.10470299378283662, -0.19086449190224186, -0.23054189573377137,
-      0.07986205533682772,
-    ],
-    [
-      0.10470299378283662, -0.19086449190224186, -0.13496157651180007,
-      0.20325571686078892,
-    ],
-    [
-      0.10470299378283662, -0.19086449190224186, -0.10854382600996021,
-      -0.21850801222441052,
-    ],
-    [
-      0.10470299378283662, -0.19086449190224186, 0.04610837914675428,
-      -0.23958616601048321,
-    ],
-    [
-      0.10470299378283662, -0.19086449190224186, 0.18443351658701712,
-      0.15972411067365544,
-    ],
-    [
-      0.10470299378283662, -0.19086449190224186, 0.24350540252176028,
-      0.015252295363621632,
-    ],
-    [
-      0.10470299378283662, -0.16595759787084807, -0.2556748802841696,
-      0.05518332303203549,
-    ],
-    [
-      0.10470299378283662, -0.16595759787084807, -0.14376749334574673,
-      -0.21850801222441052,
-    ],
-    [
-      0.10470299378283662, -0.16595759787084807, -0.11734974284390684,
-      0.23376030758803218,
-    ],
-    [
-      0.10470299378283662, -0.16595759787084807, 0.08004728053109919,
-      -0.24901260295165378,
-    ],
-    [
-      0.10470299378283662, -0.16595759787084807, 0.17562759975307046,
-      0.1938292799196183,
-    ],
-    [
-      0.10470299378283662, -0.16595759787084807, 0.26111723618965355,
-      -0.015252295363621632,
-    ],
-    [
-      0.10470299378283662, -0.11026408970826793, -0.27536550892908407,
-      -0.08928849227799834,
-    ],
-    [
-      0.10470299378283662, -0.11026408970826793, -0.2590384412126324,
-      -0.12921951994641218,
-    ],
-    [
-      0.10470299378283662, -0.11026408970826793, 0.01761183366789326,
-      0.28894363062006767,
-    ],
-    [
-      0.10470299378283662, -0.11026408970826793, 0.06035665188618479,
-      0.28311777219761664,
-    ],
-    [
-      0.10470299378283662, -0.11026408970826793, 0.2150088570428993,
-      -0.1938292799196183,
-    ],
-    [
-      0.10470299378283662, -0.11026408970826793, 0.24142660754473916,
-      -0.15972411067365544,
-    ],
-    [
-      0.10470299378283662, -0.020150100548493477, -0.3072256153364078,
-      0.03410516924596284,
-    ],
-    [
-      0.10470299378283662, -0.020150100548493477, -0.1953182283979849,
-      -0.23958616601048321,
-    ],
-    [
-      0.10470299378283662, -0.020150100548493477, -0.10982859196140182,
-      0.28894363062006767,
-    ],
-    [
-      0.10470299378283662, -0.020150100548493477, 0.12407686470083232,
-      -0.28311777219761664,
-    ],
-    [
-      0.10470299378283662, -0.020150100548493477, 0.1831487506355755,
-      0.24901260295165378,
-    ],
-    [
-      0.10470299378283662, -0.020150100548493477, 0.3051468203593867,
-      -0.04935746460958447,
-    ],
-    [
-      0.10470299378283662, 0.020150100548493477, -0.3051468203593867,
-      0.04935746460958447,
-    ],
-    [
-      0.10470299378283662, 0.020150100548493477, -0.1831487506355755,
-      -0.24901260295165378,
-    ],
-    [
-      0.10470299378283662, 0.020150100548493477, -0.12407686470083232,
-      0.28311777219761664,
-    ],
-    [
-      0.10470299378283662, 0.020150100548493477, 0.10982859196140182,
-      -0.28894363062006767,
-    ],
-    [
-      0.10470299378283662, 0.020150100548493477, 0.1953182283979849,
-      0.23958616601048321,
-    ],
-    [
-      0.10470299378283662, 0.020150100548493477, 0.3072256153364078,
-      -0.03410516924596284,
-    ],
-    [
-      0.10470299378283662, 0.11026408970826793, -0.24142660754473916,
-      0.15972411067365544,
-    ],
-    [
-      0.10470299378283662, 0.11026408970826793, -0.2150088570428993,
-      0.1938292799196183,
-    ],
-    [
-      0.10470299378283662, 0.11026408970826793, -0.06035665188618479,
-      -0.28311777219761664,
-    ],
-    [
-      0.10470299378283662, 0.11026408970826793, -0.01761183366789326,
-      -0.28894363062006767,
-    ],
-    [
-      0.10470299378283662, 0.11026408970826793, 0.2590384412126324,
-      0.12921951994641218,
-    ],
-    [
-      0.10470299378283662, 0.11026408970826793, 0.27536550892908407,
-      0.08928849227799834,
-    ],
-    [
-      0.10470299378283662, 0.16595759787084807, -0.26111723618965355,
-      0.015252295363621632,
-    ],
-    [
-      0.10470299378283662, 0.16595759787084807, -0.17562759975307046,
-      -0.1938292799196183,
-    ],
-    [
-      0.10470299378283662, 0.16595759787084807, -0.08004728053109919,
-      0.24901260295165378,
-    ],
-    [
-      0.10470299378283662, 0.16595759787084807, 0.11734974284390684,
-      -0.23376030758803218,
-    ],
-    [
-      0.10470299378283662, 0.16595759787084807, 0.14376749334574673,
-      0.21850801222441052,
-    ],
-    [
-      0.10470299378283662, 0.16595759787084807, 0.2556748802841696,
-      -0.05518332303203549,
-    ],
-    [
-      0.10470299378283662, 0.19086449190224186, -0.24350540252176028,
-      -0.015252295363621632,
-    ],
-    [
-      0.10470299378283662, 0.19086449190224186, -0.18443351658701712,
-      -0.15972411067365544,
-    ],
-    [
-      0.10470299378283662, 0.19086449190224186, -0.04610837914675428,
-      0.23958616601048321,
-    ],
-    [
-      0.10470299378283662, 0.19086449190224186, 0.10854382600996021,
-      0.21850801222441052,
-    ],
-    [
-      0.10470299378283662, 0.19086449190224186, 0.13496157651180007,
-      -0.20325571686078892,
-    ],
-    [
-      0.10470299378283662, 0.19086449190224186, 0.23054189573377137,
-      -0.07986205533682772,
-    ],
-    [
-      0.10470299378283662, 0.2809784810620163, -0.12071330377236958,
-      -0.04935746460958447,
-    ],
-    [
-      0.10470299378283662, 0.2809784810620163, 0.01761183366789326,
-      0.12921951994641218,
-    ],
-    [
-      0.10470299378283662, 0.2809784810620163, 0.10310147010447632,
-      -0.07986205533682772,
-    ],
-    [
-      0.10470299378283662, 0.29637178812760945, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      0.10470299378283662, 0.29637178812760945, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      0.10470299378283662, 0.29637178812760945, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      0.1129420017763324, -0.2916149946447092, -0.09429555327052969,
-      -0.015252295363621632,
-    ],
-    [
-      0.1129420017763324, -0.2916149946447092, -0.07796848555407804,
-      -0.05518332303203549,
-    ],
-    [
-      0.1129420017763324, -0.2916149946447092, -0.00880591683394663,
-      0.09511435070044935,
-    ],
-    [
-      0.1129420017763324, -0.2916149946447092, 0.0339389013843449,
-      0.08928849227799834,
-    ],
-    [
-      0.1129420017763324, -0.2916149946447092, 0.06035665188618479,
-      -0.07403619691437671,
-    ],
-    [
-      0.1129420017763324, -0.2916149946447092, 0.08677440238802467,
-      -0.03993102766841386,
-    ],
-    [
-      0.1129420017763324, -0.26082838051352275, -0.15801576608517726,
-      0.03410516924596284,
-    ],
-    [
-      0.1129420017763324, -0.26082838051352275, -0.08885319736504582,
-      -0.1350453783688632,
-    ],
-    [
-      0.1129420017763324, -0.26082838051352275, -0.07252612964859417,
-      0.14447181531003384,
-    ],
-    [
-      0.1129420017763324, -0.26082838051352275, 0.04947194007521703,
-      -0.15389825225120446,
-    ],
-    [
-      0.1129420017763324, -0.26082838051352275, 0.10854382600996021,
-      0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, -0.26082838051352275, 0.16137932701364,
-      -0.009426436941170603,
-    ],
-    [
-      0.1129420017763324, -0.23592148648212907, -0.19323943342096372,
-      0.03410516924596284,
-    ],
-    [
-      0.1129420017763324, -0.23592148648212907, -0.11398618191544407,
-      -0.15972411067365544,
-    ],
-    [
-      0.1129420017763324, -0.23592148648212907, -0.0813320464825408,
-      0.1785769845559967,
-    ],
-    [
-      0.1129420017763324, -0.23592148648212907, 0.06708377374311028,
-      -0.18440284297844772,
-    ],
-    [
-      0.1129420017763324, -0.23592148648212907, 0.12615565967785347,
-      0.15029767373248487,
-    ],
-    [
-      0.1129420017763324, -0.23592148648212907, 0.1953182283979849,
-      -0.018852873882341206,
-    ],
-    [
-      0.1129420017763324, -0.18610769841934155, -0.24350540252176028,
-      -0.015252295363621632,
-    ],
-    [
-      0.1129420017763324, -0.18610769841934155, -0.18443351658701712,
-      -0.15972411067365544,
-    ],
-    [
-      0.1129420017763324, -0.18610769841934155, -0.04610837914675428,
-      0.23958616601048321,
-    ],
-    [
-      0.1129420017763324, -0.18610769841934155, 0.10854382600996021,
-      0.21850801222441052,
-    ],
-    [
-      0.1129420017763324, -0.18610769841934155, 0.13496157651180007,
-      -0.20325571686078892,
-    ],
-    [
-      0.1129420017763324, -0.18610769841934155, 0.23054189573377137,
-      -0.07986205533682772,
-    ],
-    [
-      0.1129420017763324, -0.17071439135374833, -0.24894775842724415,
-      -0.05518332303203549,
-    ],
-    [
-      0.1129420017763324, -0.17071439135374833, -0.2162936229943409,
-      -0.1350453783688632,
-    ],
-    [
-      0.1129420017763324, -0.17071439135374833, -0.00880591683394663,
-      0.2548384613741048,
-    ],
-    [
-      0.1129420017763324, -0.17071439135374833, 0.07668371960263642,
-      0.24318674452920275,
-    ],
-    [
-      0.1129420017763324, -0.17071439135374833, 0.17226403882460772,
-      -0.18800342149716726,
-    ],
-    [
-      0.1129420017763324, -0.17071439135374833, 0.2250995398282875,
-      -0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, -0.1553210842881551, -0.22173597889982477,
-      0.14447181531003384,
-    ],
-    [
-      0.1129420017763324, -0.1553210842881551, -0.1953182283979849,
-      0.1785769845559967,
-    ],
-    [
-      0.1129420017763324, -0.1553210842881551, -0.05699309095772204,
-      -0.25843903989282435,
-    ],
-    [
-      0.1129420017763324, -0.1553210842881551, -0.01424827273943051,
-      -0.26426489831527544,
-    ],
-    [
-      0.1129420017763324, -0.1553210842881551, 0.2359842516392553,
-      0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, -0.1553210842881551, 0.25231131935570694,
-      0.07986205533682772,
-    ],
-    [
-      0.1129420017763324, -0.10550729622536767, -0.2720019480006213,
-      0.09511435070044935,
-    ],
-    [
-      0.1129420017763324, -0.10550729622536767, -0.16009456106219838,
-      0.23958616601048321,
-    ],
-    [
-      0.1129420017763324, -0.10550729622536767, -0.12744042562929508,
-      -0.25843903989282435,
-    ],
-    [
-      0.1129420017763324, -0.10550729622536767, 0.05362953002925929,
-      -0.28311777219761664,
-    ],
-    [
-      0.1129420017763324, -0.10550729622536767, 0.21837241797136203,
-      0.18800342149716726,
-    ],
-    [
-      0.1129420017763324, -0.10550729622536767, 0.28753498669149347,
-      0.018852873882341206,
-    ],
-    [
-      0.1129420017763324, -0.06520709512838069, -0.2862502207400518,
-      0.08928849227799834,
-    ],
-    [
-      0.1129420017763324, -0.06520709512838069, -0.15801576608517726,
-      0.2548384613741048,
-    ],
-    [
-      0.1129420017763324, -0.06520709512838069, -0.1416886983687256,
-      -0.26426489831527544,
-    ],
-    [
-      0.1129420017763324, -0.06520709512838069, 0.06579900779166867,
-      -0.2925442091387872,
-    ],
-    [
-      0.1129420017763324, -0.06520709512838069, 0.22045121294838316,
-      0.20325571686078892,
-    ],
-    [
-      0.1129420017763324, -0.06520709512838069, 0.29970446445390286,
-      0.009426436941170603,
-    ],
-    [
-      0.1129420017763324, -0.040300201096986954, -0.2950561375739984,
-      -0.07403619691437671,
-    ],
-    [
-      0.1129420017763324, -0.040300201096986954, -0.2624020021410952,
-      -0.15389825225120446,
-    ],
-    [
-      0.1129420017763324, -0.040300201096986954, -0.0020787949770211325,
-      0.3041959259836893,
-    ],
-    [
-      0.1129420017763324, -0.040300201096986954, 0.08341084145956193,
-      0.2925442091387872,
-    ],
-    [
-      0.1129420017763324, -0.040300201096986954, 0.2116452961144365,
-      -0.21850801222441052,
-    ],
-    [
-      0.1129420017763324, -0.040300201096986954, 0.26448079711811634,
-      -0.15029767373248487,
-    ],
-    [
-      0.1129420017763324, -0.01539330706559322, -0.3038620544079451,
-      -0.03993102766841386,
-    ],
-    [
-      0.1129420017763324, -0.01539330706559322, -0.2447901684732019,
-      -0.18440284297844772,
-    ],
-    [
-      0.1129420017763324, -0.01539330706559322, -0.03730246231280765,
-      0.3041959259836893,
-    ],
-    [
-      0.1129420017763324, -0.01539330706559322, 0.11734974284390684,
-      0.28311777219761664,
-    ],
-    [
-      0.1129420017763324, -0.01539330706559322, 0.18651231156403825,
-      -0.24318674452920275,
-    ],
-    [
-      0.1129420017763324, -0.01539330706559322, 0.28209263078600955,
-      -0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, 0.01539330706559322, -0.28209263078600955,
-      0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, 0.01539330706559322, -0.18651231156403825,
-      0.24318674452920275,
-    ],
-    [
-      0.1129420017763324, 0.01539330706559322, -0.11734974284390684,
-      -0.28311777219761664,
-    ],
-    [
-      0.1129420017763324, 0.01539330706559322, 0.03730246231280765,
-      -0.3041959259836893,
-    ],
-    [
-      0.1129420017763324, 0.01539330706559322, 0.2447901684732019,
-      0.18440284297844772,
-    ],
-    [
-      0.1129420017763324, 0.01539330706559322, 0.3038620544079451,
-      0.03993102766841386,
-    ],
-    [
-      0.1129420017763324, 0.040300201096986954, -0.26448079711811634,
-      0.15029767373248487,
-    ],
-    [
-      0.1129420017763324, 0.040300201096986954, -0.2116452961144365,
-      0.21850801222441052,
-    ],
-    [
-      0.1129420017763324, 0.040300201096986954, -0.08341084145956193,
-      -0.2925442091387872,
-    ],
-    [
-      0.1129420017763324, 0.040300201096986954, 0.0020787949770211325,
-      -0.3041959259836893,
-    ],
-    [
-      0.1129420017763324, 0.040300201096986954, 0.2624020021410952,
-      0.15389825225120446,
-    ],
-    [
-      0.1129420017763324, 0.040300201096986954, 0.2950561375739984,
-      0.07403619691437671,
-    ],
-    [
-      0.1129420017763324, 0.06520709512838069, -0.29970446445390286,
-      -0.009426436941170603,
-    ],
-    [
-      0.1129420017763324, 0.06520709512838069, -0.22045121294838316,
-      -0.20325571686078892,
-    ],
-    [
-      0.1129420017763324, 0.06520709512838069, -0.06579900779166867,
-      0.2925442091387872,
-    ],
-    [
-      0.1129420017763324, 0.06520709512838069, 0.1416886983687256,
-      0.26426489831527544,
-    ],
-    [
-      0.1129420017763324, 0.06520709512838069, 0.15801576608517726,
-      -0.2548384613741048,
-    ],
-    [
-      0.1129420017763324, 0.06520709512838069, 0.2862502207400518,
-      -0.08928849227799834,
-    ],
-    [
-      0.1129420017763324, 0.10550729622536767, -0.28753498669149347,
-      -0.018852873882341206,
-    ],
-    [
-      0.1129420017763324, 0.10550729622536767, -0.21837241797136203,
-      -0.18800342149716726,
-    ],
-    [
-      0.1129420017763324, 0.10550729622536767, -0.05362953002925929,
-      0.28311777219761664,
-    ],
-    [
-      0.1129420017763324, 0.10550729622536767, 0.12744042562929508,
-      0.25843903989282435,
-    ],
-    [
-      0.1129420017763324, 0.10550729622536767, 0.16009456106219838,
-      -0.23958616601048321,
-    ],
-    [
-      0.1129420017763324, 0.10550729622536767, 0.2720019480006213,
-      -0.09511435070044935,
-    ],
-    [
-      0.1129420017763324, 0.1553210842881551, -0.25231131935570694,
-      -0.07986205533682772,
-    ],
-    [
-      0.1129420017763324, 0.1553210842881551, -0.2359842516392553,
-      -0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, 0.1553210842881551, 0.01424827273943051,
-      0.26426489831527544,
-    ],
-    [
-      0.1129420017763324, 0.1553210842881551, 0.05699309095772204,
-      0.25843903989282435,
-    ],
-    [
-      0.1129420017763324, 0.1553210842881551, 0.1953182283979849,
-      -0.1785769845559967,
-    ],
-    [
-      0.1129420017763324, 0.1553210842881551, 0.22173597889982477,
-      -0.14447181531003384,
-    ],
-    [
-      0.1129420017763324, 0.17071439135374833, -0.2250995398282875,
-      0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, 0.17071439135374833, -0.17226403882460772,
-      0.18800342149716726,
-    ],
-    [
-      0.1129420017763324, 0.17071439135374833, -0.07668371960263642,
-      -0.24318674452920275,
-    ],
-    [
-      0.1129420017763324, 0.17071439135374833, 0.00880591683394663,
-      -0.2548384613741048,
-    ],
-    [
-      0.1129420017763324, 0.17071439135374833, 0.2162936229943409,
-      0.1350453783688632,
-    ],
-    [
-      0.1129420017763324, 0.17071439135374833, 0.24894775842724415,
-      0.05518332303203549,
-    ],
-    [
-      0.1129420017763324, 0.18610769841934155, -0.23054189573377137,
-      0.07986205533682772,
-    ],
-    [
-      0.1129420017763324, 0.18610769841934155, -0.13496157651180007,
-      0.20325571686078892,
-    ],
-    [
-      0.1129420017763324, 0.18610769841934155, -0.10854382600996021,
-      -0.21850801222441052,
-    ],
-    [
-      0.1129420017763324, 0.18610769841934155, 0.04610837914675428,
-      -0.23958616601048321,
-    ],
-    [
-      0.1129420017763324, 0.18610769841934155, 0.18443351658701712,
-      0.15972411067365544,
-    ],
-    [
-      0.1129420017763324, 0.18610769841934155, 0.24350540252176028,
-      0.015252295363621632,
-    ],
-    [
-      0.1129420017763324, 0.23592148648212907, -0.1953182283979849,
-      0.018852873882341206,
-    ],
-    [
-      0.1129420017763324, 0.23592148648212907, -0.12615565967785347,
-      -0.15029767373248487,
-    ],
-    [
-      0.1129420017763324, 0.23592148648212907, -0.06708377374311028,
-      0.18440284297844772,
-    ],
-    [
-      0.1129420017763324, 0.23592148648212907, 0.0813320464825408,
-      -0.1785769845559967,
-    ],
-    [
-      0.1129420017763324, 0.23592148648212907, 0.11398618191544407,
-      0.15972411067365544,
-    ],
-    [
-      0.1129420017763324, 0.23592148648212907, 0.19323943342096372,
-      -0.03410516924596284,
-    ],
-    [
-      0.1129420017763324, 0.26082838051352275, -0.16137932701364,
-      0.009426436941170603,
-    ],
-    [
-      0.1129420017763324, 0.26082838051352275, -0.10854382600996021,
-      -0.11979308300524161,
-    ],
-    [
-      0.1129420017763324, 0.26082838051352275, -0.04947194007521703,
-      0.15389825225120446,
-    ],
-    [
-      0.1129420017763324, 0.26082838051352275, 0.07252612964859417,
-      -0.14447181531003384,
-    ],
-    [
-      0.1129420017763324, 0.26082838051352275, 0.08885319736504582,
-      0.1350453783688632,
-    ],
-    [
-      0.1129420017763324, 0.26082838051352275, 0.15801576608517726,
-      -0.03410516924596284,
-    ],
-    [
-      0.1129420017763324, 0.2916149946447092, -0.08677440238802467,
-      0.03993102766841386,
-    ],
-    [
-      0.1129420017763324, 0.2916149946447092, -0.06035665188618479,
-      0.07403619691437671,
-    ],
-    [
-      0.1129420017763324, 0.2916149946447092, -0.0339389013843449,
-      -0.08928849227799834,
-    ],
-    [
-      0.1129420017763324, 0.2916149946447092, 0.00880591683394663,
-      -0.09511435070044935,
-    ],
-    [
-      0.1129420017763324, 0.2916149946447092, 0.07796848555407804,
-      0.05518332303203549,
-    ],
-    [
-      0.1129420017763324, 0.2916149946447092, 0.09429555327052969,
-      0.015252295363621632,
-    ],
-    [
-      0.13960399171044885, -0.276221687579116, -0.08341084145956193,
-      0.06460975997320609,
-    ],
-    [
-      0.13960399171044885, -0.276221687579116, -0.01424827273943051,
-      -0.10454078764161998,
-    ],
-    [
-      0.13960399171044885, -0.276221687579116, 0.09765911419899245,
-      0.03993102766841386,
-    ],
-    [
-      0.13960399171044885, -0.17071439135374833, -0.23262069071079255,
-      0.06460975997320609,
-    ],
-    [
-      0.13960399171044885, -0.17071439135374833, -0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      0.13960399171044885, -0.17071439135374833, -0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      0.13960399171044885, -0.17071439135374833, 0.06035665188618479,
-      -0.23376030758803218,
-    ],
-    [
-      0.13960399171044885, -0.17071439135374833, 0.17226403882460772,
-      0.16915054761482606,
-    ],
-    [0.13960399171044885, -0.17071439135374833, 0.24142660754473916, 0.0],
-    [
-      0.13960399171044885, -0.10550729622536767, -0.2556748802841696,
-      -0.10454078764161998,
-    ],
-    [
-      0.13960399171044885, -0.10550729622536767, 0.03730246231280765,
-      0.27369133525644607,
-    ],
-    [
-      0.13960399171044885, -0.10550729622536767, 0.21837241797136203,
-      -0.16915054761482606,
-    ],
-    [0.13960399171044885, 0.0, -0.2929773425969773, 0.03993102766841386],
-    [0.13960399171044885, 0.0, -0.18106995565855438, -0.23376030758803218],
-    [0.13960399171044885, 0.0, -0.11190738693842295, 0.27369133525644607],
-    [0.13960399171044885, 0.0, 0.11190738693842295, -0.27369133525644607],
-    [0.13960399171044885, 0.0, 0.18106995565855438, 0.23376030758803218],
-    [0.13960399171044885, 0.0, 0.2929773425969773, -0.03993102766841386],
-    [
-      0.13960399171044885, 0.10550729622536767, -0.21837241797136203,
-      0.16915054761482606,
-    ],
-    [
-      0.13960399171044885, 0.10550729622536767, -0.03730246231280765,
-      -0.27369133525644607,
-    ],
-    [
-      0.13960399171044885, 0.10550729622536767, 0.2556748802841696,
-      0.10454078764161998,
-    ],
-    [0.13960399171044885, 0.17071439135374833, -0.24142660754473916, 0.0],
-    [
-      0.13960399171044885, 0.17071439135374833, -0.17226403882460772,
-      -0.16915054761482606,
-    ],
-    [
-      0.13960399171044885, 0.17071439135374833, -0.06035665188618479,
-      0.23376030758803218,
-    ],
-    [
-      0.13960399171044885, 0.17071439135374833, 0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      0.13960399171044885, 0.17071439135374833, 0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      0.13960399171044885, 0.17071439135374833, 0.23262069071079255,
-      -0.06460975997320609,
-    ],
-    [
-      0.13960399171044885, 0.276221687579116, -0.09765911419899245,
-      -0.03993102766841386,
-    ],
-    [
-      0.13960399171044885, 0.276221687579116, 0.01424827273943051,
-      0.10454078764161998,
-    ],
-    [
-      0.13960399171044885, 0.276221687579116, 0.08341084145956193,
-      -0.06460975997320609,
-    ],
-    [
-      0.1478429997039446, -0.27146489409621577, -0.10646503103293906,
-      -0.005825858422451027,
-    ],
-    [
-      0.1478429997039446, -0.27146489409621577, -0.08004728053109919,
-      -0.07043561839565712,
-    ],
-    [
-      0.1478429997039446, -0.27146489409621577, -0.020975394596356008,
-      0.10454078764161998,
-    ],
-    [
-      0.1478429997039446, -0.27146489409621577, 0.048187174123775406,
-      0.09511435070044935,
-    ],
-    [
-      0.1478429997039446, -0.27146489409621577, 0.05827785690916366,
-      -0.08928849227799834,
-    ],
-    [
-      0.1478429997039446, -0.27146489409621577, 0.10102267512745519,
-      -0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, -0.2560715870306225, -0.1383251374402628,
-      0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, -0.2560715870306225, -0.08548963643658306,
-      -0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, -0.2560715870306225, -0.05283550100367978,
-      0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, -0.2560715870306225, 0.05283550100367978,
-      -0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, -0.2560715870306225, 0.08548963643658306,
-      0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, -0.2560715870306225, 0.1383251374402628,
-      -0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, -0.2157713859336356, -0.1953182283979849,
-      0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, -0.2157713859336356, -0.12615565967785347,
-      -0.15029767373248487,
-    ],
-    [
-      0.1478429997039446, -0.2157713859336356, -0.06708377374311028,
-      0.18440284297844772,
-    ],
-    [
-      0.1478429997039446, -0.2157713859336356, 0.0813320464825408,
-      -0.1785769845559967,
-    ],
-    [
-      0.1478429997039446, -0.2157713859336356, 0.11398618191544407,
-      0.15972411067365544,
-    ],
-    [
-      0.1478429997039446, -0.2157713859336356, 0.19323943342096372,
-      -0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, -0.19086449190224186, -0.22045121294838316,
-      -0.005825858422451027,
-    ],
-    [
-      0.1478429997039446, -0.19086449190224186, -0.16137932701364,
-      -0.15029767373248487,
-    ],
-    [
-      0.1478429997039446, -0.19086449190224186, -0.04947194007521703,
-      0.21490743370569096,
-    ],
-    [
-      0.1478429997039446, -0.19086449190224186, 0.10518026508149744,
-      0.1938292799196183,
-    ],
-    [
-      0.1478429997039446, -0.19086449190224186, 0.11527094786688569,
-      -0.18800342149716726,
-    ],
-    [
-      0.1478429997039446, -0.19086449190224186, 0.210851267088857,
-      -0.06460975997320609,
-    ],
-    [
-      0.1478429997039446, -0.16595759787084807, -0.22925712978232976,
-      -0.07043561839565712,
-    ],
-    [
-      0.1478429997039446, -0.16595759787084807, -0.2129300620658781,
-      -0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, -0.16595759787084807, 0.01088471181096776,
-      0.23958616601048321,
-    ],
-    [
-      0.1478429997039446, -0.16595759787084807, 0.05362953002925929,
-      0.23376030758803218,
-    ],
-    [
-      0.1478429997039446, -0.16595759787084807, 0.17562759975307046,
-      -0.16332468919237503,
-    ],
-    [
-      0.1478429997039446, -0.16595759787084807, 0.20204535025491038,
-      -0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, -0.13517098373966163, -0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, -0.13517098373966163, -0.18106995565855438,
-      0.18440284297844772,
-    ],
-    [
-      0.1478429997039446, -0.13517098373966163, -0.0691625687201314,
-      -0.24901260295165378,
-    ],
-    [0.1478429997039446, -0.13517098373966163, 0.0, -0.25843903989282435],
-    [
-      0.1478429997039446, -0.13517098373966163, 0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, -0.13517098373966163, 0.2502325243786858,
-      0.06460975997320609,
-    ],
-    [
-      0.1478429997039446, -0.11026408970826793, -0.24894775842724415,
-      0.10454078764161998,
-    ],
-    [
-      0.1478429997039446, -0.11026408970826793, -0.16345812199066112,
-      0.21490743370569096,
-    ],
-    [
-      0.1478429997039446, -0.11026408970826793, -0.10438623605591793,
-      -0.24901260295165378,
-    ],
-    [
-      0.1478429997039446, -0.11026408970826793, 0.0339389013843449,
-      -0.267865476833995,
-    ],
-    [
-      0.1478429997039446, -0.11026408970826793, 0.2150088570428993,
-      0.16332468919237503,
-    ],
-    [
-      0.1478429997039446, -0.11026408970826793, 0.267844358046579,
-      0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, -0.045056994579887225, -0.2720019480006213,
-      0.09511435070044935,
-    ],
-    [
-      0.1478429997039446, -0.045056994579887225, -0.16009456106219838,
-      0.23958616601048321,
-    ],
-    [
-      0.1478429997039446, -0.045056994579887225, -0.12744042562929508,
-      -0.25843903989282435,
-    ],
-    [
-      0.1478429997039446, -0.045056994579887225, 0.05362953002925929,
-      -0.28311777219761664,
-    ],
-    [
-      0.1478429997039446, -0.045056994579887225, 0.21837241797136203,
-      0.18800342149716726,
-    ],
-    [
-      0.1478429997039446, -0.045056994579887225, 0.28753498669149347,
-      0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, -0.0355434076140867, -0.27536550892908407,
-      -0.08928849227799834,
-    ],
-    [
-      0.1478429997039446, -0.0355434076140867, -0.2590384412126324,
-      -0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, -0.0355434076140867, 0.01761183366789326,
-      0.28894363062006767,
-    ],
-    [
-      0.1478429997039446, -0.0355434076140867, 0.06035665188618479,
-      0.28311777219761664,
-    ],
-    [
-      0.1478429997039446, -0.0355434076140867, 0.2150088570428993,
-      -0.1938292799196183,
-    ],
-    [
-      0.1478429997039446, -0.0355434076140867, 0.24142660754473916,
-      -0.15972411067365544,
-    ],
-    [
-      0.1478429997039446, -0.0047567934829002585, -0.26992315302360015,
-      0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, -0.0047567934829002585, -0.17434283380162885,
-      0.23376030758803218,
-    ],
-    [
-      0.1478429997039446, -0.0047567934829002585, -0.11527094786688569,
-      -0.267865476833995,
-    ],
-    [
-      0.1478429997039446, -0.0047567934829002585, 0.03938125728982878,
-      -0.28894363062006767,
-    ],
-    [
-      0.1478429997039446, -0.0047567934829002585, 0.23054189573377137,
-      0.1785769845559967,
-    ],
-    [
-      0.1478429997039446, -0.0047567934829002585, 0.2896137816685146,
-      0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, 0.0047567934829002585, -0.2896137816685146,
-      -0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, 0.0047567934829002585, -0.23054189573377137,
-      -0.1785769845559967,
-    ],
-    [
-      0.1478429997039446, 0.0047567934829002585, -0.03938125728982878,
-      0.28894363062006767,
-    ],
-    [
-      0.1478429997039446, 0.0047567934829002585, 0.11527094786688569,
-      0.267865476833995,
-    ],
-    [
-      0.1478429997039446, 0.0047567934829002585, 0.17434283380162885,
-      -0.23376030758803218,
-    ],
-    [
-      0.1478429997039446, 0.0047567934829002585, 0.26992315302360015,
-      -0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, 0.0355434076140867, -0.24142660754473916,
-      0.15972411067365544,
-    ],
-    [
-      0.1478429997039446, 0.0355434076140867, -0.2150088570428993,
-      0.1938292799196183,
-    ],
-    [
-      0.1478429997039446, 0.0355434076140867, -0.06035665188618479,
-      -0.28311777219761664,
-    ],
-    [
-      0.1478429997039446, 0.0355434076140867, -0.01761183366789326,
-      -0.28894363062006767,
-    ],
-    [
-      0.1478429997039446, 0.0355434076140867, 0.2590384412126324,
-      0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, 0.0355434076140867, 0.27536550892908407,
-      0.08928849227799834,
-    ],
-    [
-      0.1478429997039446, 0.045056994579887225, -0.28753498669149347,
-      -0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, 0.045056994579887225, -0.21837241797136203,
-      -0.18800342149716726,
-    ],
-    [
-      0.1478429997039446, 0.045056994579887225, -0.05362953002925929,
-      0.28311777219761664,
-    ],
-    [
-      0.1478429997039446, 0.045056994579887225, 0.12744042562929508,
-      0.25843903989282435,
-    ],
-    [
-      0.1478429997039446, 0.045056994579887225, 0.16009456106219838,
-      -0.23958616601048321,
-    ],
-    [
-      0.1478429997039446, 0.045056994579887225, 0.2720019480006213,
-      -0.09511435070044935,
-    ],
-    [
-      0.1478429997039446, 0.11026408970826793, -0.267844358046579,
-      -0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, 0.11026408970826793, -0.2150088570428993,
-      -0.16332468919237503,
-    ],
-    [
-      0.1478429997039446, 0.11026408970826793, -0.0339389013843449,
-      0.267865476833995,
-    ],
-    [
-      0.1478429997039446, 0.11026408970826793, 0.10438623605591793,
-      0.24901260295165378,
-    ],
-    [
-      0.1478429997039446, 0.11026408970826793, 0.16345812199066112,
-      -0.21490743370569096,
-    ],
-    [
-      0.1478429997039446, 0.11026408970826793, 0.24894775842724415,
-      -0.10454078764161998,
-    ],
-    [
-      0.1478429997039446, 0.13517098373966163, -0.2502325243786858,
-      -0.06460975997320609,
-    ],
-    [
-      0.1478429997039446, 0.13517098373966163, -0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [0.1478429997039446, 0.13517098373966163, 0.0, 0.25843903989282435],
-    [
-      0.1478429997039446, 0.13517098373966163, 0.0691625687201314,
-      0.24901260295165378,
-    ],
-    [
-      0.1478429997039446, 0.13517098373966163, 0.18106995565855438,
-      -0.18440284297844772,
-    ],
-    [
-      0.1478429997039446, 0.13517098373966163, 0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, 0.16595759787084807, -0.20204535025491038,
-      0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, 0.16595759787084807, -0.17562759975307046,
-      0.16332468919237503,
-    ],
-    [
-      0.1478429997039446, 0.16595759787084807, -0.05362953002925929,
-      -0.23376030758803218,
-    ],
-    [
-      0.1478429997039446, 0.16595759787084807, -0.01088471181096776,
-      -0.23958616601048321,
-    ],
-    [
-      0.1478429997039446, 0.16595759787084807, 0.2129300620658781,
-      0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, 0.16595759787084807, 0.22925712978232976,
-      0.07043561839565712,
-    ],
-    [
-      0.1478429997039446, 0.19086449190224186, -0.210851267088857,
-      0.06460975997320609,
-    ],
-    [
-      0.1478429997039446, 0.19086449190224186, -0.11527094786688569,
-      0.18800342149716726,
-    ],
-    [
-      0.1478429997039446, 0.19086449190224186, -0.10518026508149744,
-      -0.1938292799196183,
-    ],
-    [
-      0.1478429997039446, 0.19086449190224186, 0.04947194007521703,
-      -0.21490743370569096,
-    ],
-    [
-      0.1478429997039446, 0.19086449190224186, 0.16137932701364,
-      0.15029767373248487,
-    ],
-    [
-      0.1478429997039446, 0.19086449190224186, 0.22045121294838316,
-      0.005825858422451027,
-    ],
-    [
-      0.1478429997039446, 0.2157713859336356, -0.19323943342096372,
-      0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, 0.2157713859336356, -0.11398618191544407,
-      -0.15972411067365544,
-    ],
-    [
-      0.1478429997039446, 0.2157713859336356, -0.0813320464825408,
-      0.1785769845559967,
-    ],
-    [
-      0.1478429997039446, 0.2157713859336356, 0.06708377374311028,
-      -0.18440284297844772,
-    ],
-    [
-      0.1478429997039446, 0.2157713859336356, 0.12615565967785347,
-      0.15029767373248487,
-    ],
-    [
-      0.1478429997039446, 0.2157713859336356, 0.1953182283979849,
-      -0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, 0.2560715870306225, -0.1383251374402628,
-      0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, 0.2560715870306225, -0.08548963643658306,
-      -0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, 0.2560715870306225, -0.05283550100367978,
-      0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, 0.2560715870306225, 0.05283550100367978,
-      -0.12921951994641218,
-    ],
-    [
-      0.1478429997039446, 0.2560715870306225, 0.08548963643658306,
-      0.11036664606407098,
-    ],
-    [
-      0.1478429997039446, 0.2560715870306225, 0.1383251374402628,
-      -0.018852873882341206,
-    ],
-    [
-      0.1478429997039446, 0.27146489409621577, -0.10102267512745519,
-      0.03410516924596284,
-    ],
-    [
-      0.1478429997039446, 0.27146489409621577, -0.05827785690916366,
-      0.08928849227799834,
-    ],
-    [
-      0.1478429997039446, 0.27146489409621577, -0.048187174123775406,
-      -0.09511435070044935,
-    ],
-    [
-      0.1478429997039446, 0.27146489409621577, 0.020975394596356008,
-      -0.10454078764161998,
-    ],
-    [
-      0.1478429997039446, 0.27146489409621577, 0.08004728053109919,
-      0.07043561839565712,
-    ],
-    [
-      0.1478429997039446, 0.27146489409621577, 0.10646503103293906,
-      0.005825858422451027,
-    ],
-    [
-      0.1611739946710028, -0.2637682405634192, -0.10102267512745519,
-      0.03410516924596284,
-    ],
-    [
-      0.1611739946710028, -0.2637682405634192, -0.05827785690916366,
-      0.08928849227799834,
-    ],
-    [
-      0.1611739946710028, -0.2637682405634192, -0.048187174123775406,
-      -0.09511435070044935,
-    ],
-    [
-      0.1611739946710028, -0.2637682405634192, 0.020975394596356008,
-      -0.10454078764161998,
-    ],
-    [
-      0.1611739946710028, -0.2637682405634192, 0.08004728053109919,
-      0.07043561839565712,
-    ],
-    [
-      0.1611739946710028, -0.2637682405634192, 0.10646503103293906,
-      0.005825858422451027,
-    ],
-    [
-      0.1611739946710028, -0.18316783836944522, -0.2150088570428993,
-      0.03410516924596284,
-    ],
-    [
-      0.1611739946710028, -0.18316783836944522, -0.1295192206063162,
-      -0.1749764060372771,
-    ],
-    [
-      0.1611739946710028, -0.18316783836944522, -0.08677440238802467,
-      0.19965513834206933,
-    ],
-    [
-      0.1611739946710028, -0.18316783836944522, 0.07796848555407804,
-      -0.20325571686078892,
-    ],
-    [
-      0.1611739946710028, -0.18316783836944522, 0.1370403714888212,
-      0.16915054761482606,
-    ],
-    [
-      0.1611739946710028, -0.18316783836944522, 0.2162936229943409,
-      -0.024678732304792235,
-    ],
-    [
-      0.1611739946710028, -0.14286763727245827, -0.22925712978232976,
-      0.08928849227799834,
-    ],
-    [
-      0.1611739946710028, -0.14286763727245827, -0.14376749334574673,
-      0.19965513834206933,
-    ],
-    [
-      0.1611739946710028, -0.14286763727245827, -0.10102267512745519,
-      -0.22433387064686156,
-    ],
-    [
-      0.1611739946710028, -0.14286763727245827, 0.03730246231280765,
-      -0.24318674452920275,
-    ],
-    [
-      0.1611739946710028, -0.14286763727245827, 0.1919546674695221,
-      0.15389825225120446,
-    ],
-    [
-      0.1611739946710028, -0.14286763727245827, 0.2447901684732019,
-      0.024678732304792235,
-    ],
-    [
-      0.1611739946710028, -0.13335405030665776, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      0.1611739946710028, -0.13335405030665776, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      0.1611739946710028, -0.13335405030665776, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      0.1611739946710028, -0.06814695517827704, -0.2556748802841696,
-      -0.10454078764161998,
-    ],
-    [
-      0.1611739946710028, -0.06814695517827704, 0.03730246231280765,
-      0.27369133525644607,
-    ],
-    [
-      0.1611739946710028, -0.06814695517827704, 0.21837241797136203,
-      -0.16915054761482606,
-    ],
-    [
-      0.1611739946710028, -0.01245344701569687, -0.27536550892908407,
-      0.07043561839565712,
-    ],
-    [
-      0.1611739946710028, -0.01245344701569687, -0.14713105427420947,
-      -0.24318674452920275,
-    ],
-    [
-      0.1611739946710028, -0.01245344701569687, -0.1370403714888212,
-      0.24901260295165378,
-    ],
-    [
-      0.1611739946710028, -0.01245344701569687, 0.07668371960263642,
-      -0.27369133525644607,
-    ],
-    [
-      0.1611739946710028, -0.01245344701569687, 0.19868178932644764,
-      0.20325571686078892,
-    ],
-    [
-      0.1611739946710028, -0.01245344701569687, 0.28417142576303067,
-      -0.005825858422451027,
-    ],
-    [
-      0.1611739946710028, 0.01245344701569687, -0.28417142576303067,
-      0.005825858422451027,
-    ],
-    [
-      0.1611739946710028, 0.01245344701569687, -0.19868178932644764,
-      -0.20325571686078892,
-    ],
-    [
-      0.1611739946710028, 0.01245344701569687, -0.07668371960263642,
-      0.27369133525644607,
-    ],
-    [
-      0.1611739946710028, 0.01245344701569687, 0.1370403714888212,
-      -0.24901260295165378,
-    ],
-    [
-      0.1611739946710028, 0.01245344701569687, 0.14713105427420947,
-      0.24318674452920275,
-    ],
-    [
-      0.1611739946710028, 0.01245344701569687, 0.27536550892908407,
-      -0.07043561839565712,
-    ],
-    [
-      0.1611739946710028, 0.06814695517827704, -0.21837241797136203,
-      0.16915054761482606,
-    ],
-    [
-      0.1611739946710028, 0.06814695517827704, -0.03730246231280765,
-      -0.27369133525644607,
-    ],
-    [
-      0.1611739946710028, 0.06814695517827704, 0.2556748802841696,
-      0.10454078764161998,
-    ],
-    [
-      0.1611739946710028, 0.13335405030665776, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      0.1611739946710028, 0.13335405030665776, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      0.1611739946710028, 0.13335405030665776, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      0.1611739946710028, 0.14286763727245827, -0.2447901684732019,
-      -0.024678732304792235,
-    ],
-    [
-      0.1611739946710028, 0.14286763727245827, -0.1919546674695221,
-      -0.15389825225120446,
-    ],
-    [
-      0.1611739946710028, 0.14286763727245827, -0.03730246231280765,
-      0.24318674452920275,
-    ],
-    [
-      0.1611739946710028, 0.14286763727245827, 0.10102267512745519,
-      0.22433387064686156,
-    ],
-    [
-      0.1611739946710028, 0.14286763727245827, 0.14376749334574673,
-      -0.19965513834206933,
-    ],
-    [
-      0.1611739946710028, 0.14286763727245827, 0.22925712978232976,
-      -0.08928849227799834,
-    ],
-    [
-      0.1611739946710028, 0.18316783836944522, -0.2162936229943409,
-      0.024678732304792235,
-    ],
-    [
-      0.1611739946710028, 0.18316783836944522, -0.1370403714888212,
-      -0.16915054761482606,
-    ],
-    [
-      0.1611739946710028, 0.18316783836944522, -0.07796848555407804,
-      0.20325571686078892,
-    ],
-    [
-      0.1611739946710028, 0.18316783836944522, 0.08677440238802467,
-      -0.19965513834206933,
-    ],
-    [
-      0.1611739946710028, 0.18316783836944522, 0.1295192206063162,
-      0.1749764060372771,
-    ],
-    [
-      0.1611739946710028, 0.18316783836944522, 0.2150088570428993,
-      -0.03410516924596284,
-    ],
-    [
-      0.1611739946710028, 0.2637682405634192, -0.10646503103293906,
-      -0.005825858422451027,
-    ],
-    [
-      0.1611739946710028, 0.2637682405634192, -0.08004728053109919,
-      -0.07043561839565712,
-    ],
-    [
-      0.1611739946710028, 0.2637682405634192, -0.020975394596356008,
-      0.10454078764161998,
-    ],
-    [
-      0.1611739946710028, 0.2637682405634192, 0.048187174123775406,
-      0.09511435070044935,
-    ],
-    [
-      0.1611739946710028, 0.2637682405634192, 0.05827785690916366,
-      -0.08928849227799834,
-    ],
-    [
-      0.1611739946710028, 0.2637682405634192, 0.10102267512745519,
-      -0.03410516924596284,
-    ],
-    [
-      0.1694130026644986, -0.25901144708051893, -0.09765911419899245,
-      -0.03993102766841386,
-    ],
-    [
-      0.1694130026644986, -0.25901144708051893, 0.01424827273943051,
-      0.10454078764161998,
-    ],
-    [
-      0.1694130026644986, -0.25901144708051893, 0.08341084145956193,
-      -0.06460975997320609,
-    ],
-    [
-      0.1694130026644986, -0.22822483294933243, -0.16137932701364,
-      0.009426436941170603,
-    ],
-    [
-      0.1694130026644986, -0.22822483294933243, -0.10854382600996021,
-      -0.11979308300524161,
-    ],
-    [
-      0.1694130026644986, -0.22822483294933243, -0.04947194007521703,
-      0.15389825225120446,
-    ],
-    [
-      0.1694130026644986, -0.22822483294933243, 0.07252612964859417,
-      -0.14447181531003384,
-    ],
-    [
-      0.1694130026644986, -0.22822483294933243, 0.08885319736504582,
-      0.1350453783688632,
-    ],
-    [
-      0.1694130026644986, -0.22822483294933243, 0.15801576608517726,
-      -0.03410516924596284,
-    ],
-    [
-      0.1694130026644986, -0.17841104488654497, -0.2116452961144365,
-      -0.03993102766841386,
-    ],
-    [
-      0.1694130026644986, -0.17841104488654497, -0.17899116068153326,
-      -0.11979308300524161,
-    ],
-    [
-      0.1694130026644986, -0.17841104488654497, -0.01424827273943051,
-      0.21490743370569096,
-    ],
-    [
-      0.1694130026644986, -0.17841104488654497, 0.07124136369715256,
-      0.20325571686078892,
-    ],
-    [
-      0.1694130026644986, -0.17841104488654497, 0.140403932417284,
-      -0.16332468919237503,
-    ],
-    [
-      0.1694130026644986, -0.17841104488654497, 0.19323943342096372,
-      -0.09511435070044935,
-    ],
-    [
-      0.1694130026644986, -0.12271753672396479, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      0.1694130026644986, -0.12271753672396479, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      0.1694130026644986, -0.12271753672396479, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      0.1694130026644986, -0.0729037486611773, -0.24894775842724415,
-      0.10454078764161998,
-    ],
-    [
-      0.1694130026644986, -0.0729037486611773, -0.16345812199066112,
-      0.21490743370569096,
-    ],
-    [
-      0.1694130026644986, -0.0729037486611773, -0.10438623605591793,
-      -0.24901260295165378,
-    ],
-    [
-      0.1694130026644986, -0.0729037486611773, 0.0339389013843449,
-      -0.267865476833995,
-    ],
-    [
-      0.1694130026644986, -0.0729037486611773, 0.2150088570428993,
-      0.16332468919237503,
-    ],
-    [
-      0.1694130026644986, -0.0729037486611773, 0.267844358046579,
-      0.03410516924596284,
-    ],
-    [
-      0.1694130026644986, -0.00769665353279661, -0.2720019480006213,
-      -0.06460975997320609,
-    ],
-    [
-      0.1694130026644986, -0.00769665353279661, -0.23934781256771803,
-      -0.14447181531003384,
-    ],
-    [
-      0.1694130026644986, -0.00769665353279661, -0.00544235590548388,
-      0.27951719367889705,
-    ],
-    [
-      0.1694130026644986, -0.00769665353279661, 0.08004728053109919,
-      0.267865476833995,
-    ],
-    [
-      0.1694130026644986, -0.00769665353279661, 0.1919546674695221,
-      -0.20325571686078892,
-    ],
-    [
-      0.1694130026644986, -0.00769665353279661, 0.2447901684732019,
-      -0.1350453783688632,
-    ],
-    [
-      0.1694130026644986, 0.00769665353279661, -0.2447901684732019,
-      0.1350453783688632,
-    ],
-    [
-      0.1694130026644986, 0.00769665353279661, -0.1919546674695221,
-      0.20325571686078892,
-    ],
-    [
-      0.1694130026644986, 0.00769665353279661, -0.08004728053109919,
-      -0.267865476833995,
-    ],
-    [
-      0.1694130026644986, 0.00769665353279661, 0.00544235590548388,
-      -0.27951719367889705,
-    ],
-    [
-      0.1694130026644986, 0.00769665353279661, 0.23934781256771803,
-      0.14447181531003384,
-    ],
-    [
-      0.1694130026644986, 0.00769665353279661, 0.2720019480006213,
-      0.06460975997320609,
-    ],
-    [
-      0.1694130026644986, 0.0729037486611773, -0.267844358046579,
-      -0.03410516924596284,
-    ],
-    [
-      0.1694130026644986, 0.0729037486611773, -0.2150088570428993,
-      -0.16332468919237503,
-    ],
-    [
-      0.1694130026644986, 0.0729037486611773, -0.0339389013843449,
-      0.267865476833995,
-    ],
-    [
-      0.1694130026644986, 0.0729037486611773, 0.10438623605591793,
-      0.24901260295165378,
-    ],
-    [
-      0.1694130026644986, 0.0729037486611773, 0.16345812199066112,
-      -0.21490743370569096,
-    ],
-    [
-      0.1694130026644986, 0.0729037486611773, 0.24894775842724415,
-      -0.10454078764161998,
-    ],
-    [
-      0.1694130026644986, 0.12271753672396479, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      0.1694130026644986, 0.12271753672396479, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      0.1694130026644986, 0.12271753672396479, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      0.1694130026644986, 0.17841104488654497, -0.19323943342096372,
-      0.09511435070044935,
-    ],
-    [
-      0.1694130026644986, 0.17841104488654497, -0.140403932417284,
-      0.16332468919237503,
-    ],
-    [
-      0.1694130026644986, 0.17841104488654497, -0.07124136369715256,
-      -0.20325571686078892,
-    ],
-    [
-      0.1694130026644986, 0.17841104488654497, 0.01424827273943051,
-      -0.21490743370569096,
-    ],
-    [
-      0.1694130026644986, 0.17841104488654497, 0.17899116068153326,
-      0.11979308300524161,
-    ],
-    [
-      0.1694130026644986, 0.17841104488654497, 0.2116452961144365,
-      0.03993102766841386,
-    ],
-    [
-      0.1694130026644986, 0.22822483294933243, -0.15801576608517726,
-      0.03410516924596284,
-    ],
-    [
-      0.1694130026644986, 0.22822483294933243, -0.08885319736504582,
-      -0.1350453783688632,
-    ],
-    [
-      0.1694130026644986, 0.22822483294933243, -0.07252612964859417,
-      0.14447181531003384,
-    ],
-    [
-      0.1694130026644986, 0.22822483294933243, 0.04947194007521703,
-      -0.15389825225120446,
-    ],
-    [
-      0.1694130026644986, 0.22822483294933243, 0.10854382600996021,
-      0.11979308300524161,
-    ],
-    [
-      0.1694130026644986, 0.22822483294933243, 0.16137932701364,
-      -0.009426436941170603,
-    ],
-    [
-      0.1694130026644986, 0.25901144708051893, -0.08341084145956193,
-      0.06460975997320609,
-    ],
-    [
-      0.1694130026644986, 0.25901144708051893, -0.01424827273943051,
-      -0.10454078764161998,
-    ],
-    [
-      0.1694130026644986, 0.25901144708051893, 0.09765911419899245,
-      0.03993102766841386,
-    ],
-    [
-      0.19098300562505258, -0.23116469299922882, -0.12071330377236958,
-      -0.04935746460958447,
-    ],
-    [
-      0.19098300562505258, -0.23116469299922882, 0.01761183366789326,
-      0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, -0.23116469299922882, 0.10310147010447632,
-      -0.07986205533682772,
-    ],
-    [
-      0.19098300562505258, -0.2157713859336356, -0.15257341017969334,
-      -0.024678732304792235,
-    ],
-    [
-      0.19098300562505258, -0.2157713859336356, -0.12615565967785347,
-      -0.08928849227799834,
-    ],
-    [
-      0.19098300562505258, -0.2157713859336356, -0.01424827273943051,
-      0.15389825225120446,
-    ],
-    [
-      0.19098300562505258, -0.2157713859336356, 0.05491429598070091,
-      0.14447181531003384,
-    ],
-    [
-      0.19098300562505258, -0.2157713859336356, 0.09765911419899245,
-      -0.11979308300524161,
-    ],
-    [
-      0.19098300562505258, -0.2157713859336356, 0.140403932417284,
-      -0.06460975997320609,
-    ],
-    [
-      0.19098300562505258, -0.19086449190224186, -0.17770639473009164,
-      -0.04935746460958447,
-    ],
-    [
-      0.19098300562505258, -0.19086449190224186, -0.16137932701364,
-      -0.08928849227799834,
-    ],
-    [
-      0.19098300562505258, -0.19086449190224186, 0.0033635609284627483,
-      0.18440284297844772,
-    ],
-    [
-      0.19098300562505258, -0.19086449190224186, 0.04610837914675428,
-      0.1785769845559967,
-    ],
-    [
-      0.19098300562505258, -0.19086449190224186, 0.13159801558333734,
-      -0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, -0.19086449190224186, 0.15801576608517726,
-      -0.09511435070044935,
-    ],
-    [
-      0.19098300562505258, -0.08535719567687416, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      0.19098300562505258, -0.08535719567687416, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      0.19098300562505258, -0.08535719567687416, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      0.19098300562505258, -0.060450301645480445, -0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, -0.060450301645480445, -0.18106995565855438,
-      0.18440284297844772,
-    ],
-    [
-      0.19098300562505258, -0.060450301645480445, -0.0691625687201314,
-      -0.24901260295165378,
-    ],
-    [0.19098300562505258, -0.060450301645480445, 0.0, -0.25843903989282435],
-    [
-      0.19098300562505258, -0.060450301645480445, 0.2238147738768459,
-      0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, -0.060450301645480445, 0.2502325243786858,
-      0.06460975997320609,
-    ],
-    [
-      0.19098300562505258, -0.020150100548493477, -0.22173597889982477,
-      0.14447181531003384,
-    ],
-    [
-      0.19098300562505258, -0.020150100548493477, -0.1953182283979849,
-      0.1785769845559967,
-    ],
-    [
-      0.19098300562505258, -0.020150100548493477, -0.05699309095772204,
-      -0.25843903989282435,
-    ],
-    [
-      0.19098300562505258, -0.020150100548493477, -0.01424827273943051,
-      -0.26426489831527544,
-    ],
-    [
-      0.19098300562505258, -0.020150100548493477, 0.2359842516392553,
-      0.11979308300524161,
-    ],
-    [
-      0.19098300562505258, -0.020150100548493477, 0.25231131935570694,
-      0.07986205533682772,
-    ],
-    [
-      0.19098300562505258, 0.020150100548493477, -0.25231131935570694,
-      -0.07986205533682772,
-    ],
-    [
-      0.19098300562505258, 0.020150100548493477, -0.2359842516392553,
-      -0.11979308300524161,
-    ],
-    [
-      0.19098300562505258, 0.020150100548493477, 0.01424827273943051,
-      0.26426489831527544,
-    ],
-    [
-      0.19098300562505258, 0.020150100548493477, 0.05699309095772204,
-      0.25843903989282435,
-    ],
-    [
-      0.19098300562505258, 0.020150100548493477, 0.1953182283979849,
-      -0.1785769845559967,
-    ],
-    [
-      0.19098300562505258, 0.020150100548493477, 0.22173597889982477,
-      -0.14447181531003384,
-    ],
-    [
-      0.19098300562505258, 0.060450301645480445, -0.2502325243786858,
-      -0.06460975997320609,
-    ],
-    [
-      0.19098300562505258, 0.060450301645480445, -0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [0.19098300562505258, 0.060450301645480445, 0.0, 0.25843903989282435],
-    [
-      0.19098300562505258, 0.060450301645480445, 0.0691625687201314,
-      0.24901260295165378,
-    ],
-    [
-      0.19098300562505258, 0.060450301645480445, 0.18106995565855438,
-      -0.18440284297844772,
-    ],
-    [
-      0.19098300562505258, 0.060450301645480445, 0.2238147738768459,
-      -0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, 0.08535719567687416, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      0.19098300562505258, 0.08535719567687416, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      0.19098300562505258, 0.08535719567687416, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      0.19098300562505258, 0.19086449190224186, -0.15801576608517726,
-      0.09511435070044935,
-    ],
-    [
-      0.19098300562505258, 0.19086449190224186, -0.13159801558333734,
-      0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, 0.19086449190224186, -0.04610837914675428,
-      -0.1785769845559967,
-    ],
-    [
-      0.19098300562505258, 0.19086449190224186, -0.0033635609284627483,
-      -0.18440284297844772,
-    ],
-    [
-      0.19098300562505258, 0.19086449190224186, 0.16137932701364,
-      0.08928849227799834,
-    ],
-    [
-      0.19098300562505258, 0.19086449190224186, 0.17770639473009164,
-      0.04935746460958447,
-    ],
-    [
-      0.19098300562505258, 0.2157713859336356, -0.140403932417284,
-      0.06460975997320609,
-    ],
-    [
-      0.19098300562505258, 0.2157713859336356, -0.09765911419899245,
-      0.11979308300524161,
-    ],
-    [
-      0.19098300562505258, 0.2157713859336356, -0.05491429598070091,
-      -0.14447181531003384,
-    ],
-    [
-      0.19098300562505258, 0.2157713859336356, 0.01424827273943051,
-      -0.15389825225120446,
-    ],
-    [
-      0.19098300562505258, 0.2157713859336356, 0.12615565967785347,
-      0.08928849227799834,
-    ],
-    [
-      0.19098300562505258, 0.2157713859336356, 0.15257341017969334,
-      0.024678732304792235,
-    ],
-    [
-      0.19098300562505258, 0.23116469299922882, -0.10310147010447632,
-      0.07986205533682772,
-    ],
-    [
-      0.19098300562505258, 0.23116469299922882, -0.01761183366789326,
-      -0.12921951994641218,
-    ],
-    [
-      0.19098300562505258, 0.23116469299922882, 0.12071330377236958,
-      0.04935746460958447,
-    ],
-    [
-      0.19607499259861505, -0.24361814001492565, -0.08677440238802467,
-      0.03993102766841386,
-    ],
-    [
-      0.19607499259861505, -0.24361814001492565, -0.06035665188618479,
-      0.07403619691437671,
-    ],
-    [
-      0.19607499259861505, -0.24361814001492565, -0.0339389013843449,
-      -0.08928849227799834,
-    ],
-    [
-      0.19607499259861505, -0.24361814001492565, 0.00880591683394663,
-      -0.09511435070044935,
-    ],
-    [
-      0.19607499259861505, -0.24361814001492565, 0.07796848555407804,
-      0.05518332303203549,
-    ],
-    [
-      0.19607499259861505, -0.24361814001492565, 0.09429555327052969,
-      0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, -0.16301773782095175, -0.20076058430346877,
-      0.03993102766841386,
-    ],
-    [
-      0.19607499259861505, -0.16301773782095175, -0.11527094786688569,
-      -0.16915054761482606,
-    ],
-    [
-      0.19607499259861505, -0.16301773782095175, -0.08885319736504582,
-      0.18440284297844772,
-    ],
-    [
-      0.19607499259861505, -0.16301773782095175, 0.06579900779166867,
-      -0.1938292799196183,
-    ],
-    [
-      0.19607499259861505, -0.16301773782095175, 0.13496157651180007,
-      0.15389825225120446,
-    ],
-    [
-      0.19607499259861505, -0.16301773782095175, 0.2041241452319315,
-      -0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, -0.138110843789558, -0.20956650113741537,
-      0.07403619691437671,
-    ],
-    [
-      0.19607499259861505, -0.138110843789558, -0.12407686470083232,
-      0.18440284297844772,
-    ],
-    [
-      0.19607499259861505, -0.138110843789558, -0.09765911419899245,
-      -0.19965513834206933,
-    ],
-    [
-      0.19607499259861505, -0.138110843789558, 0.0406660232412704,
-      -0.21850801222441052,
-    ],
-    [
-      0.19607499259861505, -0.138110843789558, 0.16890047789614498,
-      0.14447181531003384,
-    ],
-    [
-      0.19607499259861505, -0.138110843789558, 0.22173597889982477,
-      0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, -0.11320394975816428, -0.21837241797136203,
-      -0.08928849227799834,
-    ],
-    [
-      0.19607499259861505, -0.11320394975816428, 0.03186010640732377,
-      0.23376030758803218,
-    ],
-    [
-      0.19607499259861505, -0.11320394975816428, 0.18651231156403825,
-      -0.14447181531003384,
-    ],
-    [
-      0.19607499259861505, -0.0729037486611773, -0.23262069071079255,
-      -0.09511435070044935,
-    ],
-    [
-      0.19607499259861505, -0.0729037486611773, 0.0339389013843449,
-      0.24901260295165378,
-    ],
-    [
-      0.19607499259861505, -0.0729037486611773, 0.19868178932644764,
-      -0.15389825225120446,
-    ],
-    [
-      0.19607499259861505, -0.00769665353279661, -0.2556748802841696,
-      0.05518332303203549,
-    ],
-    [
-      0.19607499259861505, -0.00769665353279661, -0.14376749334574673,
-      -0.21850801222441052,
-    ],
-    [
-      0.19607499259861505, -0.00769665353279661, -0.11734974284390684,
-      0.23376030758803218,
-    ],
-    [
-      0.19607499259861505, -0.00769665353279661, 0.08004728053109919,
-      -0.24901260295165378,
-    ],
-    [
-      0.19607499259861505, -0.00769665353279661, 0.17562759975307046,
-      0.1938292799196183,
-    ],
-    [
-      0.19607499259861505, -0.00769665353279661, 0.26111723618965355,
-      -0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, 0.00769665353279661, -0.26111723618965355,
-      0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, 0.00769665353279661, -0.17562759975307046,
-      -0.1938292799196183,
-    ],
-    [
-      0.19607499259861505, 0.00769665353279661, -0.08004728053109919,
-      0.24901260295165378,
-    ],
-    [
-      0.19607499259861505, 0.00769665353279661, 0.11734974284390684,
-      -0.23376030758803218,
-    ],
-    [
-      0.19607499259861505, 0.00769665353279661, 0.14376749334574673,
-      0.21850801222441052,
-    ],
-    [
-      0.19607499259861505, 0.00769665353279661, 0.2556748802841696,
-      -0.05518332303203549,
-    ],
-    [
-      0.19607499259861505, 0.0729037486611773, -0.19868178932644764,
-      0.15389825225120446,
-    ],
-    [
-      0.19607499259861505, 0.0729037486611773, -0.0339389013843449,
-      -0.24901260295165378,
-    ],
-    [
-      0.19607499259861505, 0.0729037486611773, 0.23262069071079255,
-      0.09511435070044935,
-    ],
-    [
-      0.19607499259861505, 0.11320394975816428, -0.18651231156403825,
-      0.14447181531003384,
-    ],
-    [
-      0.19607499259861505, 0.11320394975816428, -0.03186010640732377,
-      -0.23376030758803218,
-    ],
-    [
-      0.19607499259861505, 0.11320394975816428, 0.21837241797136203,
-      0.08928849227799834,
-    ],
-    [
-      0.19607499259861505, 0.138110843789558, -0.22173597889982477,
-      -0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, 0.138110843789558, -0.16890047789614498,
-      -0.14447181531003384,
-    ],
-    [
-      0.19607499259861505, 0.138110843789558, -0.0406660232412704,
-      0.21850801222441052,
-    ],
-    [
-      0.19607499259861505, 0.138110843789558, 0.09765911419899245,
-      0.19965513834206933,
-    ],
-    [
-      0.19607499259861505, 0.138110843789558, 0.12407686470083232,
-      -0.18440284297844772,
-    ],
-    [
-      0.19607499259861505, 0.138110843789558, 0.20956650113741537,
-      -0.07403619691437671,
-    ],
-    [
-      0.19607499259861505, 0.16301773782095175, -0.2041241452319315,
-      0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, 0.16301773782095175, -0.13496157651180007,
-      -0.15389825225120446,
-    ],
-    [
-      0.19607499259861505, 0.16301773782095175, -0.06579900779166867,
-      0.1938292799196183,
-    ],
-    [
-      0.19607499259861505, 0.16301773782095175, 0.08885319736504582,
-      -0.18440284297844772,
-    ],
-    [
-      0.19607499259861505, 0.16301773782095175, 0.11527094786688569,
-      0.16915054761482606,
-    ],
-    [
-      0.19607499259861505, 0.16301773782095175, 0.20076058430346877,
-      -0.03993102766841386,
-    ],
-    [
-      0.19607499259861505, 0.24361814001492565, -0.09429555327052969,
-      -0.015252295363621632,
-    ],
-    [
-      0.19607499259861505, 0.24361814001492565, -0.07796848555407804,
-      -0.05518332303203549,
-    ],
-    [
-      0.19607499259861505, 0.24361814001492565, -0.00880591683394663,
-      0.09511435070044935,
-    ],
-    [
-      0.19607499259861505, 0.24361814001492565, 0.0339389013843449,
-      0.08928849227799834,
-    ],
-    [
-      0.19607499259861505, 0.24361814001492565, 0.06035665188618479,
-      -0.07403619691437671,
-    ],
-    [
-      0.19607499259861505, 0.24361814001492565, 0.08677440238802467,
-      -0.03993102766841386,
-    ],
-    [
-      0.2043140005921108, -0.2388613465320254, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      0.2043140005921108, -0.2388613465320254, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      0.2043140005921108, -0.2388613465320254, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      0.2043140005921108, -0.20807473240083896, -0.14713105427420947,
-      0.015252295363621632,
-    ],
-    [
-      0.2043140005921108, -0.20807473240083896, -0.09429555327052969,
-      -0.11396722458279057,
-    ],
-    [
-      0.2043140005921108, -0.20807473240083896, -0.05155073505223816,
-      0.1386459568875828,
-    ],
-    [
-      0.2043140005921108, -0.20807473240083896, 0.06035665188618479,
-      -0.1350453783688632,
-    ],
-    [
-      0.2043140005921108, -0.20807473240083896, 0.08677440238802467,
-      0.11979308300524161,
-    ],
-    [
-      0.2043140005921108, -0.20807473240083896, 0.14584628832276786,
-      -0.024678732304792235,
-    ],
-    [
-      0.2043140005921108, -0.1582609443380515, -0.19739702337500603,
-      -0.03410516924596284,
-    ],
-    [
-      0.2043140005921108, -0.1582609443380515, -0.16474288794210273,
-      -0.11396722458279057,
-    ],
-    [
-      0.2043140005921108, -0.1582609443380515, -0.01632706771645164,
-      0.19965513834206933,
-    ],
-    [
-      0.2043140005921108, -0.1582609443380515, 0.0691625687201314,
-      0.18800342149716726,
-    ],
-    [
-      0.2043140005921108, -0.1582609443380515, 0.1282344546548746,
-      -0.15389825225120446,
-    ],
-    [
-      0.2043140005921108, -0.1582609443380515, 0.18106995565855438,
-      -0.08568791375927876,
-    ],
-    [
-      0.2043140005921108, -0.11796074324106454, -0.17899116068153326,
-      0.1386459568875828,
-    ],
-    [
-      0.2043140005921108, -0.11796074324106454, -0.03057534045588215,
-      -0.22433387064686156,
-    ],
-    [
-      0.2043140005921108, -0.11796074324106454, 0.20956650113741537,
-      0.08568791375927876,
-    ],
-    [
-      0.2043140005921108, -0.06814695517827704, -0.22925712978232976,
-      0.08928849227799834,
-    ],
-    [
-      0.2043140005921108, -0.06814695517827704, -0.14376749334574673,
-      0.19965513834206933,
-    ],
-    [
-      0.2043140005921108, -0.06814695517827704, -0.10102267512745519,
-      -0.22433387064686156,
-    ],
-    [
-      0.2043140005921108, -0.06814695517827704, 0.03730246231280765,
-      -0.24318674452920275,
-    ],
-    [
-      0.2043140005921108, -0.06814695517827704, 0.1919546674695221,
-      0.15389825225120446,
-    ],
-    [
-      0.2043140005921108, -0.06814695517827704, 0.2447901684732019,
-      0.024678732304792235,
-    ],
-    [
-      0.2043140005921108, -0.01245344701569687, -0.24894775842724415,
-      -0.05518332303203549,
-    ],
-    [
-      0.2043140005921108, -0.01245344701569687, -0.2162936229943409,
-      -0.1350453783688632,
-    ],
-    [
-      0.2043140005921108, -0.01245344701569687, -0.00880591683394663,
-      0.2548384613741048,
-    ],
-    [
-      0.2043140005921108, -0.01245344701569687, 0.07668371960263642,
-      0.24318674452920275,
-    ],
-    [
-      0.2043140005921108, -0.01245344701569687, 0.17226403882460772,
-      -0.18800342149716726,
-    ],
-    [
-      0.2043140005921108, -0.01245344701569687, 0.2250995398282875,
-      -0.11979308300524161,
-    ],
-    [
-      0.2043140005921108, 0.01245344701569687, -0.2250995398282875,
-      0.11979308300524161,
-    ],
-    [
-      0.2043140005921108, 0.01245344701569687, -0.17226403882460772,
-      0.18800342149716726,
-    ],
-    [
-      0.2043140005921108, 0.01245344701569687, -0.07668371960263642,
-      -0.24318674452920275,
-    ],
-    [
-      0.2043140005921108, 0.01245344701569687, 0.00880591683394663,
-      -0.2548384613741048,
-    ],
-    [
-      0.2043140005921108, 0.01245344701569687, 0.2162936229943409,
-      0.1350453783688632,
-    ],
-    [
-      0.2043140005921108, 0.01245344701569687, 0.24894775842724415,
-      0.05518332303203549,
-    ],
-    [
-      0.2043140005921108, 0.06814695517827704, -0.2447901684732019,
-      -0.024678732304792235,
-    ],
-    [
-      0.2043140005921108, 0.06814695517827704, -0.1919546674695221,
-      -0.15389825225120446,
-    ],
-    [
-      0.2043140005921108, 0.06814695517827704, -0.03730246231280765,
-      0.24318674452920275,
-    ],
-    [
-      0.2043140005921108, 0.06814695517827704, 0.10102267512745519,
-      0.22433387064686156,
-    ],
-    [
-      0.2043140005921108, 0.06814695517827704, 0.14376749334574673,
-      -0.19965513834206933,
-    ],
-    [
-      0.2043140005921108, 0.06814695517827704, 0.22925712978232976,
-      -0.08928849227799834,
-    ],
-    [
-      0.2043140005921108, 0.11796074324106454, -0.20956650113741537,
-      -0.08568791375927876,
-    ],
-    [
-      0.2043140005921108, 0.11796074324106454, 0.03057534045588215,
-      0.22433387064686156,
-    ],
-    [
-      0.2043140005921108, 0.11796074324106454, 0.17899116068153326,
-      -0.1386459568875828,
-    ],
-    [
-      0.2043140005921108, 0.1582609443380515, -0.18106995565855438,
-      0.08568791375927876,
-    ],
-    [
-      0.2043140005921108, 0.1582609443380515, -0.1282344546548746,
-      0.15389825225120446,
-    ],
-    [
-      0.2043140005921108, 0.1582609443380515, -0.0691625687201314,
-      -0.18800342149716726,
-    ],
-    [
-      0.2043140005921108, 0.1582609443380515, 0.01632706771645164,
-      -0.19965513834206933,
-    ],
-    [
-      0.2043140005921108, 0.1582609443380515, 0.16474288794210273,
-      0.11396722458279057,
-    ],
-    [
-      0.2043140005921108, 0.1582609443380515, 0.19739702337500603,
-      0.03410516924596284,
-    ],
-    [
-      0.2043140005921108, 0.20807473240083896, -0.14584628832276786,
-      0.024678732304792235,
-    ],
-    [
-      0.2043140005921108, 0.20807473240083896, -0.08677440238802467,
-      -0.11979308300524161,
-    ],
-    [
-      0.2043140005921108, 0.20807473240083896, -0.06035665188618479,
-      0.1350453783688632,
-    ],
-    [
-      0.2043140005921108, 0.20807473240083896, 0.05155073505223816,
-      -0.1386459568875828,
-    ],
-    [
-      0.2043140005921108, 0.20807473240083896, 0.09429555327052969,
-      0.11396722458279057,
-    ],
-    [
-      0.2043140005921108, 0.20807473240083896, 0.14713105427420947,
-      -0.015252295363621632,
-    ],
-    [
-      0.2043140005921108, 0.2388613465320254, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      0.2043140005921108, 0.2388613465320254, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      0.2043140005921108, 0.2388613465320254, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      0.217644995559169, -0.23116469299922882, -0.07796848555407804,
-      0.005825858422451027,
-    ],
-    [
-      0.217644995559169, -0.23116469299922882, -0.05155073505223816,
-      -0.05878390155075507,
-    ],
-    [
-      0.217644995559169, -0.23116469299922882, -0.025132984550398273,
-      0.07403619691437671,
-    ],
-    [
-      0.217644995559169, -0.23116469299922882, 0.0339389013843449,
-      -0.07043561839565712,
-    ],
-    [
-      0.217644995559169, -0.23116469299922882, 0.04402958416973315,
-      0.06460975997320609,
-    ],
-    [
-      0.217644995559169, -0.23116469299922882, 0.07668371960263642,
-      -0.015252295363621632,
-    ],
-    [
-      0.217644995559169, -0.2157713859336356, -0.10982859196140182,
-      0.030504590727243264,
-    ],
-    [
-      0.217644995559169, -0.2157713859336356, -0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      0.217644995559169, -0.2157713859336356, -0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      0.217644995559169, -0.2157713859336356, 0.02849654547886102,
-      -0.11036664606407098,
-    ],
-    [
-      0.217644995559169, -0.2157713859336356, 0.0813320464825408,
-      0.07986205533682772,
-    ],
-    [0.217644995559169, -0.2157713859336356, 0.11398618191544407, 0.0],
-    [
-      0.217644995559169, -0.17547118483664864, -0.16682168291912386,
-      0.030504590727243264,
-    ],
-    [
-      0.217644995559169, -0.17547118483664864, -0.09765911419899245,
-      -0.1386459568875828,
-    ],
-    [
-      0.217644995559169, -0.17547118483664864, -0.07124136369715256,
-      0.15389825225120446,
-    ],
-    [
-      0.217644995559169, -0.17547118483664864, 0.05699309095772204,
-      -0.15972411067365544,
-    ],
-    [
-      0.217644995559169, -0.17547118483664864, 0.10982859196140182,
-      0.12921951994641218,
-    ],
-    [
-      0.217644995559169, -0.17547118483664864, 0.16890047789614498,
-      -0.015252295363621632,
-    ],
-    [
-      0.217644995559169, -0.15056429080525485, -0.1919546674695221,
-      0.005825858422451027,
-    ],
-    [
-      0.217644995559169, -0.15056429080525485, -0.13288278153477895,
-      -0.1386459568875828,
-    ],
-    [
-      0.217644995559169, -0.15056429080525485, -0.05362953002925929,
-      0.18440284297844772,
-    ],
-    [
-      0.217644995559169, -0.15056429080525485, 0.09093199234206695,
-      -0.16915054761482606,
-    ],
-    [
-      0.217644995559169, -0.15056429080525485, 0.10102267512745519,
-      0.16332468919237503,
-    ],
-    [
-      0.217644995559169, -0.15056429080525485, 0.18651231156403825,
-      -0.045756886090864896,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, -0.20076058430346877,
-      -0.05878390155075507,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, -0.18443351658701712,
-      -0.09871492921916894,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, -0.18443351658701712,
-      0.09871492921916894,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, -0.1416886983687256,
-      0.15389825225120446,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, -0.06243544686320592,
-      -0.19965513834206933,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.006727121856925497,
-      -0.20908157528323995,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.006727121856925497,
-      0.20908157528323995,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.04947194007521703,
-      0.20325571686078892,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.15128864422825172,
-      -0.14447181531003384,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.17770639473009164,
-      -0.11036664606407098,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.17770639473009164,
-      0.11036664606407098,
-    ],
-    [
-      0.217644995559169, -0.12565739677386112, 0.2041241452319315,
-      0.045756886090864896,
-    ],
-    [
-      0.217644995559169, -0.1007505027424674, -0.20956650113741537,
-      0.07403619691437671,
-    ],
-    [
-      0.217644995559169, -0.1007505027424674, -0.12407686470083232,
-      0.18440284297844772,
-    ],
-    [
-      0.217644995559169, -0.1007505027424674, -0.09765911419899245,
-      -0.19965513834206933,
-    ],
-    [
-      0.217644995559169, -0.1007505027424674, 0.0406660232412704,
-      -0.21850801222441052,
-    ],
-    [
-      0.217644995559169, -0.1007505027424674, 0.16890047789614498,
-      0.14447181531003384,
-    ],
-    [
-      0.217644995559169, -0.1007505027424674, 0.22173597889982477,
-      0.015252295363621632,
-    ],
-    [
-      0.217644995559169, -0.045056994579887225, -0.22925712978232976,
-      -0.07043561839565712,
-    ],
-    [
-      0.217644995559169, -0.045056994579887225, -0.2129300620658781,
-      -0.11036664606407098,
-    ],
-    [
-      0.217644995559169, -0.045056994579887225, 0.01088471181096776,
-      0.23958616601048321,
-    ],
-    [
-      0.217644995559169, -0.045056994579887225, 0.05362953002925929,
-      0.23376030758803218,
-    ],
-    [
-      0.217644995559169, -0.045056994579887225, 0.17562759975307046,
-      -0.16332468919237503,
-    ],
-    [
-      0.217644995559169, -0.045056994579887225, 0.20204535025491038,
-      -0.12921951994641218,
-    ],
-    [
-      0.217644995559169, -0.0355434076140867, -0.23262069071079255,
-      0.06460975997320609,
-    ],
-    [
-      0.217644995559169, -0.0355434076140867, -0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      0.217644995559169, -0.0355434076140867, -0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      0.217644995559169, -0.0355434076140867, 0.06035665188618479,
-      -0.23376030758803218,
-    ],
-    [
-      0.217644995559169, -0.0355434076140867, 0.17226403882460772,
-      0.16915054761482606,
-    ],
-    [0.217644995559169, -0.0355434076140867, 0.24142660754473916, 0.0],
-    [
-      0.217644995559169, -0.0047567934829002585, -0.24350540252176028,
-      -0.015252295363621632,
-    ],
-    [
-      0.217644995559169, -0.0047567934829002585, -0.18443351658701712,
-      -0.15972411067365544,
-    ],
-    [
-      0.217644995559169, -0.0047567934829002585, -0.04610837914675428,
-      0.23958616601048321,
-    ],
-    [
-      0.217644995559169, -0.0047567934829002585, 0.10854382600996021,
-      0.21850801222441052,
-    ],
-    [
-      0.217644995559169, -0.0047567934829002585, 0.13496157651180007,
-      -0.20325571686078892,
-    ],
-    [
-      0.217644995559169, -0.0047567934829002585, 0.23054189573377137,
-      -0.07986205533682772,
-    ],
-    [
-      0.217644995559169, 0.0047567934829002585, -0.23054189573377137,
-      0.07986205533682772,
-    ],
-    [
-      0.217644995559169, 0.0047567934829002585, -0.13496157651180007,
-      0.20325571686078892,
-    ],
-    [
-      0.217644995559169, 0.0047567934829002585, -0.10854382600996021,
-      -0.21850801222441052,
-    ],
-    [
-      0.217644995559169, 0.0047567934829002585, 0.04610837914675428,
-      -0.23958616601048321,
-    ],
-    [
-      0.217644995559169, 0.0047567934829002585, 0.18443351658701712,
-      0.15972411067365544,
-    ],
-    [
-      0.217644995559169, 0.0047567934829002585, 0.24350540252176028,
-      0.015252295363621632,
-    ],
-    [0.217644995559169, 0.0355434076140867, -0.24142660754473916, 0.0],
-    [
-      0.217644995559169, 0.0355434076140867, -0.17226403882460772,
-      -0.16915054761482606,
-    ],
-    [
-      0.217644995559169, 0.0355434076140867, -0.06035665188618479,
-      0.23376030758803218,
-    ],
-    [
-      0.217644995559169, 0.0355434076140867, 0.12071330377236958,
-      -0.20908157528323995,
-    ],
-    [
-      0.217644995559169, 0.0355434076140867, 0.12071330377236958,
-      0.20908157528323995,
-    ],
-    [
-      0.217644995559169, 0.0355434076140867, 0.23262069071079255,
-      -0.06460975997320609,
-    ],
-    [
-      0.217644995559169, 0.045056994579887225, -0.20204535025491038,
-      0.12921951994641218,
-    ],
-    [
-      0.217644995559169, 0.045056994579887225, -0.17562759975307046,
-      0.16332468919237503,
-    ],
-    [
-      0.217644995559169, 0.045056994579887225, -0.05362953002925929,
-      -0.23376030758803218,
-    ],
-    [
-      0.217644995559169, 0.045056994579887225, -0.01088471181096776,
-      -0.23958616601048321,
-    ],
-    [
-      0.217644995559169, 0.045056994579887225, 0.2129300620658781,
-      0.11036664606407098,
-    ],
-    [
-      0.217644995559169, 0.045056994579887225, 0.22925712978232976,
-      0.07043561839565712,
-    ],
-    [
-      0.217644995559169, 0.1007505027424674, -0.22173597889982477,
-      -0.015252295363621632,
-    ],
-    [
-      0.217644995559169, 0.1007505027424674, -0.16890047789614498,
-      -0.14447181531003384,
-    ],
-    [
-      0.217644995559169, 0.1007505027424674, -0.0406660232412704,
-      0.21850801222441052,
-    ],
-    [
-      0.217644995559169, 0.1007505027424674, 0.09765911419899245,
-      0.19965513834206933,
-    ],
-    [
-      0.217644995559169, 0.1007505027424674, 0.12407686470083232,
-      -0.18440284297844772,
-    ],
-    [
-      0.217644995559169, 0.1007505027424674, 0.20956650113741537,
-      -0.07403619691437671,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.2041241452319315,
-      -0.045756886090864896,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.17770639473009164,
-      -0.11036664606407098,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.17770639473009164,
-      0.11036664606407098,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.15128864422825172,
-      0.14447181531003384,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.04947194007521703,
-      -0.20325571686078892,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.006727121856925497,
-      -0.20908157528323995,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, -0.006727121856925497,
-      0.20908157528323995,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, 0.06243544686320592,
-      0.19965513834206933,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, 0.1416886983687256,
-      -0.15389825225120446,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, 0.18443351658701712,
-      -0.09871492921916894,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, 0.18443351658701712,
-      0.09871492921916894,
-    ],
-    [
-      0.217644995559169, 0.12565739677386112, 0.20076058430346877,
-      0.05878390155075507,
-    ],
-    [
-      0.217644995559169, 0.15056429080525485, -0.18651231156403825,
-      0.045756886090864896,
-    ],
-    [
-      0.217644995559169, 0.15056429080525485, -0.10102267512745519,
-      -0.16332468919237503,
-    ],
-    [
-      0.217644995559169, 0.15056429080525485, -0.09093199234206695,
-      0.16915054761482606,
-    ],
-    [
-      0.217644995559169, 0.15056429080525485, 0.05362953002925929,
-      -0.18440284297844772,
-    ],
-    [
-      0.217644995559169, 0.15056429080525485, 0.13288278153477895,
-      0.1386459568875828,
-    ],
-    [
-      0.217644995559169, 0.15056429080525485, 0.1919546674695221,
-      -0.005825858422451027,
-    ],
-    [
-      0.217644995559169, 0.17547118483664864, -0.16890047789614498,
-      0.015252295363621632,
-    ],
-    [
-      0.217644995559169, 0.17547118483664864, -0.10982859196140182,
-      -0.12921951994641218,
-    ],
-    [
-      0.217644995559169, 0.17547118483664864, -0.05699309095772204,
-      0.15972411067365544,
-    ],
-    [
-      0.217644995559169, 0.17547118483664864, 0.07124136369715256,
-      -0.15389825225120446,
-    ],
-    [
-      0.217644995559169, 0.17547118483664864, 0.09765911419899245,
-      0.1386459568875828,
-    ],
-    [
-      0.217644995559169, 0.17547118483664864, 0.16682168291912386,
-      -0.030504590727243264,
-    ],
-    [0.217644995559169, 0.2157713859336356, -0.11398618191544407, 0.0],
-    [
-      0.217644995559169, 0.2157713859336356, -0.0813320464825408,
-      -0.07986205533682772,
-    ],
-    [
-      0.217644995559169, 0.2157713859336356, -0.02849654547886102,
-      0.11036664606407098,
-    ],
-    [
-      0.217644995559169, 0.2157713859336356, 0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      0.217644995559169, 0.2157713859336356, 0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      0.217644995559169, 0.2157713859336356, 0.10982859196140182,
-      -0.030504590727243264,
-    ],
-    [
-      0.217644995559169, 0.23116469299922882, -0.07668371960263642,
-      0.015252295363621632,
-    ],
-    [
-      0.217644995559169, 0.23116469299922882, -0.04402958416973315,
-      -0.06460975997320609,
-    ],
-    [
-      0.217644995559169, 0.23116469299922882, -0.0339389013843449,
-      0.07043561839565712,
-    ],
-    [
-      0.217644995559169, 0.23116469299922882, 0.025132984550398273,
-      -0.07403619691437671,
-    ],
-    [
-      0.217644995559169, 0.23116469299922882, 0.05155073505223816,
-      0.05878390155075507,
-    ],
-    [
-      0.217644995559169, 0.23116469299922882, 0.07796848555407804,
-      -0.005825858422451027,
-    ],
-    [
-      0.239214998519723, -0.21871124598353192, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      0.239214998519723, -0.21871124598353192, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      0.239214998519723, -0.21871124598353192, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      0.239214998519723, -0.21871124598353192, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      0.239214998519723, -0.21871124598353192, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      0.239214998519723, -0.21871124598353192, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      0.239214998519723, -0.18792463185234548, -0.10646503103293906,
-      0.05518332303203549,
-    ],
-    [
-      0.239214998519723, -0.18792463185234548, -0.08004728053109919,
-      0.08928849227799834,
-    ],
-    [
-      0.239214998519723, -0.18792463185234548, -0.03730246231280765,
-      -0.11396722458279057,
-    ],
-    [
-      0.239214998519723, -0.18792463185234548, 0.00544235590548388,
-      -0.11979308300524161,
-    ],
-    [
-      0.239214998519723, -0.18792463185234548, 0.10102267512745519,
-      0.06460975997320609,
-    ],
-    [
-      0.239214998519723, -0.18792463185234548, 0.11734974284390684,
-      0.024678732304792235,
-    ],
-    [
-      0.239214998519723, -0.16301773782095175, -0.1416886983687256,
-      0.05518332303203549,
-    ],
-    [
-      0.239214998519723, -0.16301773782095175, -0.08885319736504582,
-      0.12339366152396117,
-    ],
-    [
-      0.239214998519723, -0.16301773782095175, -0.06243544686320592,
-      -0.1386459568875828,
-    ],
-    [
-      0.239214998519723, -0.16301773782095175, 0.02305418957337714,
-      -0.15029767373248487,
-    ],
-    [
-      0.239214998519723, -0.16301773782095175, 0.11863450879534845,
-      0.09511435070044935,
-    ],
-    [
-      0.239214998519723, -0.16301773782095175, 0.15128864422825172,
-      0.015252295363621632,
-    ],
-    [
-      0.239214998519723, -0.138110843789558, -0.1504946152026722,
-      0.08928849227799834,
-    ],
-    [
-      0.239214998519723, -0.138110843789558, -0.12407686470083232,
-      0.12339366152396117,
-    ],
-    [
-      0.239214998519723, -0.138110843789558, -0.04482361319531267,
-      -0.16915054761482606,
-    ],
-    [
-      0.239214998519723, -0.138110843789558, -0.0020787949770211325,
-      -0.1749764060372771,
-    ],
-    [
-      0.239214998519723, -0.138110843789558, 0.15257341017969334,
-      0.08568791375927876,
-    ],
-    [
-      0.239214998519723, -0.138110843789558, 0.16890047789614498,
-      0.045756886090864896,
-    ],
-    [
-      0.239214998519723, -0.11320394975816428, -0.1919546674695221,
-      0.005825858422451027,
-    ],
-    [
-      0.239214998519723, -0.11320394975816428, -0.13288278153477895,
-      -0.1386459568875828,
-    ],
-    [
-      0.239214998519723, -0.11320394975816428, -0.05362953002925929,
-      0.18440284297844772,
-    ],
-    [
-      0.239214998519723, -0.11320394975816428, 0.09093199234206695,
-      -0.16915054761482606,
-    ],
-    [
-      0.239214998519723, -0.11320394975816428, 0.10102267512745519,
-      0.16332468919237503,
-    ],
-    [
-      0.239214998519723, -0.11320394975816428, 0.18651231156403825,
-      -0.045756886090864896,
-    ],
-    [
-      0.239214998519723, -0.09781064269257106, -0.19739702337500603,
-      -0.03410516924596284,
-    ],
-    [
-      0.239214998519723, -0.09781064269257106, -0.16474288794210273,
-      -0.11396722458279057,
-    ],
-    [
-      0.239214998519723, -0.09781064269257106, -0.01632706771645164,
-      0.19965513834206933,
-    ],
-    [
-      0.239214998519723, -0.09781064269257106, 0.0691625687201314,
-      0.18800342149716726,
-    ],
-    [
-      0.239214998519723, -0.09781064269257106, 0.1282344546548746,
-      -0.15389825225120446,
-    ],
-    [
-      0.239214998519723, -0.09781064269257106, 0.18106995565855438,
-      -0.08568791375927876,
-    ],
-    [
-      0.239214998519723, -0.08829705572677052, -0.20076058430346877,
-      0.03993102766841386,
-    ],
-    [
-      0.239214998519723, -0.08829705572677052, -0.11527094786688569,
-      -0.16915054761482606,
-    ],
-    [
-      0.239214998519723, -0.08829705572677052, -0.08885319736504582,
-      0.18440284297844772,
-    ],
-    [
-      0.239214998519723, -0.08829705572677052, 0.06579900779166867,
-      -0.1938292799196183,
-    ],
-    [
-      0.239214998519723, -0.08829705572677052, 0.13496157651180007,
-      0.15389825225120446,
-    ],
-    [
-      0.239214998519723, -0.08829705572677052, 0.2041241452319315,
-      -0.015252295363621632,
-    ],
-    [
-      0.239214998519723, -0.05751044159558409, -0.2116452961144365,
-      -0.03993102766841386,
-    ],
-    [
-      0.239214998519723, -0.05751044159558409, -0.17899116068153326,
-      -0.11979308300524161,
-    ],
-    [
-      0.239214998519723, -0.05751044159558409, -0.01424827273943051,
-      0.21490743370569096,
-    ],
-    [
-      0.239214998519723, -0.05751044159558409, 0.07124136369715256,
-      0.20325571686078892,
-    ],
-    [
-      0.239214998519723, -0.05751044159558409, 0.140403932417284,
-      -0.16332468919237503,
-    ],
-    [
-      0.239214998519723, -0.05751044159558409, 0.19323943342096372,
-      -0.09511435070044935,
-    ],
-    [
-      0.239214998519723, -0.047996854629783564, -0.2150088570428993,
-      0.03410516924596284,
-    ],
-    [
-      0.239214998519723, -0.047996854629783564, -0.1295192206063162,
-      -0.1749764060372771,
-    ],
-    [
-      0.239214998519723, -0.047996854629783564, -0.08677440238802467,
-      0.19965513834206933,
-    ],
-    [
-      0.239214998519723, -0.047996854629783564, 0.07796848555407804,
-      -0.20325571686078892,
-    ],
-    [
-      0.239214998519723, -0.047996854629783564, 0.1370403714888212,
-      0.16915054761482606,
-    ],
-    [
-      0.239214998519723, -0.047996854629783564, 0.2162936229943409,
-      -0.024678732304792235,
-    ],
-    [
-      0.239214998519723, -0.032603547564190344, -0.22045121294838316,
-      -0.005825858422451027,
-    ],
-    [
-      0.239214998519723, -0.032603547564190344, -0.16137932701364,
-      -0.15029767373248487,
-    ],
-    [
-      0.239214998519723, -0.032603547564190344, -0.04947194007521703,
-      0.21490743370569096,
-    ],
-    [
-      0.239214998519723, -0.032603547564190344, 0.10518026508149744,
-      0.1938292799196183,
-    ],
-    [
-      0.239214998519723, -0.032603547564190344, 0.11527094786688569,
-      -0.18800342149716726,
-    ],
-    [
-      0.239214998519723, -0.032603547564190344, 0.210851267088857,
-      -0.06460975997320609,
-    ],
-    [
-      0.239214998519723, 0.032603547564190344, -0.210851267088857,
-      0.06460975997320609,
-    ],
-    [
-      0.239214998519723, 0.032603547564190344, -0.11527094786688569,
-      0.18800342149716726,
-    ],
-    [
-      0.239214998519723, 0.032603547564190344, -0.10518026508149744,
-      -0.1938292799196183,
-    ],
-    [
-      0.239214998519723, 0.032603547564190344, 0.04947194007521703,
-      -0.21490743370569096,
-    ],
-    [
-      0.239214998519723, 0.032603547564190344, 0.16137932701364,
-      0.15029767373248487,
-    ],
-    [
-      0.239214998519723, 0.032603547564190344, 0.22045121294838316,
-      0.005825858422451027,
-    ],
-    [
-      0.239214998519723, 0.047996854629783564, -0.2162936229943409,
-      0.024678732304792235,
-    ],
-    [
-      0.239214998519723, 0.047996854629783564, -0.1370403714888212,
-      -0.16915054761482606,
-    ],
-    [
-      0.239214998519723, 0.047996854629783564, -0.07796848555407804,
-      0.20325571686078892,
-    ],
-    [
-      0.239214998519723, 0.047996854629783564, 0.08677440238802467,
-      -0.19965513834206933,
-    ],
-    [
-      0.239214998519723, 0.047996854629783564, 0.1295192206063162,
-      0.1749764060372771,
-    ],
-    [
-      0.239214998519723, 0.047996854629783564, 0.2150088570428993,
-      -0.03410516924596284,
-    ],
-    [
-      0.239214998519723, 0.05751044159558409, -0.19323943342096372,
-      0.09511435070044935,
-    ],
-    [
-      0.239214998519723, 0.05751044159558409, -0.140403932417284,
-      0.16332468919237503,
-    ],
-    [
-      0.239214998519723, 0.05751044159558409, -0.07124136369715256,
-      -0.20325571686078892,
-    ],
-    [
-      0.239214998519723, 0.05751044159558409, 0.01424827273943051,
-      -0.21490743370569096,
-    ],
-    [
-      0.239214998519723, 0.05751044159558409, 0.17899116068153326,
-      0.11979308300524161,
-    ],
-    [
-      0.239214998519723, 0.05751044159558409, 0.2116452961144365,
-      0.03993102766841386,
-    ],
-    [
-      0.239214998519723, 0.08829705572677052, -0.2041241452319315,
-      0.015252295363621632,
-    ],
-    [
-      0.239214998519723, 0.08829705572677052, -0.13496157651180007,
-      -0.15389825225120446,
-    ],
-    [
-      0.239214998519723, 0.08829705572677052, -0.06579900779166867,
-      0.1938292799196183,
-    ],
-    [
-      0.239214998519723, 0.08829705572677052, 0.08885319736504582,
-      -0.18440284297844772,
-    ],
-    [
-      0.239214998519723, 0.08829705572677052, 0.11527094786688569,
-      0.16915054761482606,
-    ],
-    [
-      0.239214998519723, 0.08829705572677052, 0.20076058430346877,
-      -0.03993102766841386,
-    ],
-    [
-      0.239214998519723, 0.09781064269257106, -0.18106995565855438,
-      0.08568791375927876,
-    ],
-    [
-      0.239214998519723, 0.09781064269257106, -0.1282344546548746,
-      0.15389825225120446,
-    ],
-    [
-      0.239214998519723, 0.09781064269257106, -0.0691625687201314,
-      -0.18800342149716726,
-    ],
-    [
-      0.239214998519723, 0.09781064269257106, 0.01632706771645164,
-      -0.19965513834206933,
-    ],
-    [
-      0.239214998519723, 0.09781064269257106, 0.16474288794210273,
-      0.11396722458279057,
-    ],
-    [
-      0.239214998519723, 0.09781064269257106, 0.19739702337500603,
-      0.03410516924596284,
-    ],
-    [
-      0.239214998519723, 0.11320394975816428, -0.18651231156403825,
-      0.045756886090864896,
-    ],
-    [
-      0.239214998519723, 0.11320394975816428, -0.10102267512745519,
-      -0.16332468919237503,
-    ],
-    [
-      0.239214998519723, 0.11320394975816428, -0.09093199234206695,
-      0.16915054761482606,
-    ],
-    [
-      0.239214998519723, 0.11320394975816428, 0.05362953002925929,
-      -0.18440284297844772,
-    ],
-    [
-      0.239214998519723, 0.11320394975816428, 0.13288278153477895,
-      0.1386459568875828,
-    ],
-    [
-      0.239214998519723, 0.11320394975816428, 0.1919546674695221,
-      -0.005825858422451027,
-    ],
-    [
-      0.239214998519723, 0.138110843789558, -0.16890047789614498,
-      -0.045756886090864896,
-    ],
-    [
-      0.239214998519723, 0.138110843789558, -0.15257341017969334,
-      -0.08568791375927876,
-    ],
-    [
-      0.239214998519723, 0.138110843789558, 0.0020787949770211325,
-      0.1749764060372771,
-    ],
-    [
-      0.239214998519723, 0.138110843789558, 0.04482361319531267,
-      0.16915054761482606,
-    ],
-    [
-      0.239214998519723, 0.138110843789558, 0.12407686470083232,
-      -0.12339366152396117,
-    ],
-    [
-      0.239214998519723, 0.138110843789558, 0.1504946152026722,
-      -0.08928849227799834,
-    ],
-    [
-      0.239214998519723, 0.16301773782095175, -0.15128864422825172,
-      -0.015252295363621632,
-    ],
-    [
-      0.239214998519723, 0.16301773782095175, -0.11863450879534845,
-      -0.09511435070044935,
-    ],
-    [
-      0.239214998519723, 0.16301773782095175, -0.02305418957337714,
-      0.15029767373248487,
-    ],
-    [
-      0.239214998519723, 0.16301773782095175, 0.06243544686320592,
-      0.1386459568875828,
-    ],
-    [
-      0.239214998519723, 0.16301773782095175, 0.08885319736504582,
-      -0.12339366152396117,
-    ],
-    [
-      0.239214998519723, 0.16301773782095175, 0.1416886983687256,
-      -0.05518332303203549,
-    ],
-    [
-      0.239214998519723, 0.18792463185234548, -0.11734974284390684,
-      -0.024678732304792235,
-    ],
-    [
-      0.239214998519723, 0.18792463185234548, -0.10102267512745519,
-      -0.06460975997320609,
-    ],
-    [
-      0.239214998519723, 0.18792463185234548, -0.00544235590548388,
-      0.11979308300524161,
-    ],
-    [
-      0.239214998519723, 0.18792463185234548, 0.03730246231280765,
-      0.11396722458279057,
-    ],
-    [
-      0.239214998519723, 0.18792463185234548, 0.08004728053109919,
-      -0.08928849227799834,
-    ],
-    [
-      0.239214998519723, 0.18792463185234548, 0.10646503103293906,
-      -0.05518332303203549,
-    ],
-    [
-      0.239214998519723, 0.21871124598353192, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      0.239214998519723, 0.21871124598353192, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      0.239214998519723, 0.21871124598353192, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      0.239214998519723, 0.21871124598353192, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      0.239214998519723, 0.21871124598353192, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      0.239214998519723, 0.21871124598353192, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      0.26078500148027695, -0.19086449190224186, -0.03938125728982878,
-      0.030504590727243264,
-    ],
-    [
-      0.26078500148027695, -0.19086449190224186, -0.006727121856925497,
-      -0.04935746460958447,
-    ],
-    [
-      0.26078500148027695, -0.19086449190224186, 0.04610837914675428,
-      0.018852873882341206,
-    ],
-    [
-      0.26078500148027695, -0.17547118483664864, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      0.26078500148027695, -0.17547118483664864, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      0.26078500148027695, -0.17547118483664864, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      0.26078500148027695, -0.12565739677386112, -0.1416886983687256,
-      0.05518332303203549,
-    ],
-    [
-      0.26078500148027695, -0.12565739677386112, -0.08885319736504582,
-      0.12339366152396117,
-    ],
-    [
-      0.26078500148027695, -0.12565739677386112, -0.06243544686320592,
-      -0.1386459568875828,
-    ],
-    [
-      0.26078500148027695, -0.12565739677386112, 0.02305418957337714,
-      -0.15029767373248487,
-    ],
-    [
-      0.26078500148027695, -0.12565739677386112, 0.11863450879534845,
-      0.09511435070044935,
-    ],
-    [
-      0.26078500148027695, -0.12565739677386112, 0.15128864422825172,
-      0.015252295363621632,
-    ],
-    [
-      0.26078500148027695, -0.1007505027424674, -0.16682168291912386,
-      0.030504590727243264,
-    ],
-    [
-      0.26078500148027695, -0.1007505027424674, -0.09765911419899245,
-      -0.1386459568875828,
-    ],
-    [
-      0.26078500148027695, -0.1007505027424674, -0.07124136369715256,
-      0.15389825225120446,
-    ],
-    [
-      0.26078500148027695, -0.1007505027424674, 0.05699309095772204,
-      -0.15972411067365544,
-    ],
-    [
-      0.26078500148027695, -0.1007505027424674, 0.10982859196140182,
-      0.12921951994641218,
-    ],
-    [
-      0.26078500148027695, -0.1007505027424674, 0.16890047789614498,
-      -0.015252295363621632,
-    ],
-    [
-      0.26078500148027695, -0.06996388861128094, -0.17770639473009164,
-      -0.04935746460958447,
-    ],
-    [
-      0.26078500148027695, -0.06996388861128094, -0.16137932701364,
-      -0.08928849227799834,
-    ],
-    [
-      0.26078500148027695, -0.06996388861128094, 0.0033635609284627483,
-      0.18440284297844772,
-    ],
-    [
-      0.26078500148027695, -0.06996388861128094, 0.04610837914675428,
-      0.1785769845559967,
-    ],
-    [
-      0.26078500148027695, -0.06996388861128094, 0.13159801558333734,
-      -0.12921951994641218,
-    ],
-    [
-      0.26078500148027695, -0.06996388861128094, 0.15801576608517726,
-      -0.09511435070044935,
-    ],
-    [
-      0.26078500148027695, -0.020150100548493477, -0.1953182283979849,
-      0.018852873882341206,
-    ],
-    [
-      0.26078500148027695, -0.020150100548493477, -0.12615565967785347,
-      -0.15029767373248487,
-    ],
-    [
-      0.26078500148027695, -0.020150100548493477, -0.06708377374311028,
-      0.18440284297844772,
-    ],
-    [
-      0.26078500148027695, -0.020150100548493477, 0.0813320464825408,
-      -0.1785769845559967,
-    ],
-    [
-      0.26078500148027695, -0.020150100548493477, 0.11398618191544407,
-      0.15972411067365544,
-    ],
-    [
-      0.26078500148027695, -0.020150100548493477, 0.19323943342096372,
-      -0.03410516924596284,
-    ],
-    [
-      0.26078500148027695, 0.020150100548493477, -0.19323943342096372,
-      0.03410516924596284,
-    ],
-    [
-      0.26078500148027695, 0.020150100548493477, -0.11398618191544407,
-      -0.15972411067365544,
-    ],
-    [
-      0.26078500148027695, 0.020150100548493477, -0.0813320464825408,
-      0.1785769845559967,
-    ],
-    [
-      0.26078500148027695, 0.020150100548493477, 0.06708377374311028,
-      -0.18440284297844772,
-    ],
-    [
-      0.26078500148027695, 0.020150100548493477, 0.12615565967785347,
-      0.15029767373248487,
-    ],
-    [
-      0.26078500148027695, 0.020150100548493477, 0.1953182283979849,
-      -0.018852873882341206,
-    ],
-    [
-      0.26078500148027695, 0.06996388861128094, -0.15801576608517726,
-      0.09511435070044935,
-    ],
-    [
-      0.26078500148027695, 0.06996388861128094, -0.13159801558333734,
-      0.12921951994641218,
-    ],
-    [
-      0.26078500148027695, 0.06996388861128094, -0.04610837914675428,
-      -0.1785769845559967,
-    ],
-    [
-      0.26078500148027695, 0.06996388861128094, -0.0033635609284627483,
-      -0.18440284297844772,
-    ],
-    [
-      0.26078500148027695, 0.06996388861128094, 0.16137932701364,
-      0.08928849227799834,
-    ],
-    [
-      0.26078500148027695, 0.06996388861128094, 0.17770639473009164,
-      0.04935746460958447,
-    ],
-    [
-      0.26078500148027695, 0.1007505027424674, -0.16890047789614498,
-      0.015252295363621632,
-    ],
-    [
-      0.26078500148027695, 0.1007505027424674, -0.10982859196140182,
-      -0.12921951994641218,
-    ],
-    [
-      0.26078500148027695, 0.1007505027424674, -0.05699309095772204,
-      0.15972411067365544,
-    ],
-    [
-      0.26078500148027695, 0.1007505027424674, 0.07124136369715256,
-      -0.15389825225120446,
-    ],
-    [
-      0.26078500148027695, 0.1007505027424674, 0.09765911419899245,
-      0.1386459568875828,
-    ],
-    [
-      0.26078500148027695, 0.1007505027424674, 0.16682168291912386,
-      -0.030504590727243264,
-    ],
-    [
-      0.26078500148027695, 0.12565739677386112, -0.15128864422825172,
-      -0.015252295363621632,
-    ],
-    [
-      0.26078500148027695, 0.12565739677386112, -0.11863450879534845,
-      -0.09511435070044935,
-    ],
-    [
-      0.26078500148027695, 0.12565739677386112, -0.02305418957337714,
-      0.15029767373248487,
-    ],
-    [
-      0.26078500148027695, 0.12565739677386112, 0.06243544686320592,
-      0.1386459568875828,
-    ],
-    [
-      0.26078500148027695, 0.12565739677386112, 0.08885319736504582,
-      -0.12339366152396117,
-    ],
-    [
-      0.26078500148027695, 0.12565739677386112, 0.1416886983687256,
-      -0.05518332303203549,
-    ],
-    [
-      0.26078500148027695, 0.17547118483664864, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      0.26078500148027695, 0.17547118483664864, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      0.26078500148027695, 0.17547118483664864, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      0.26078500148027695, 0.19086449190224186, -0.04610837914675428,
-      -0.018852873882341206,
-    ],
-    [
-      0.26078500148027695, 0.19086449190224186, 0.006727121856925497,
-      0.04935746460958447,
-    ],
-    [
-      0.26078500148027695, 0.19086449190224186, 0.03938125728982878,
-      -0.030504590727243264,
-    ],
-    [
-      0.28235500444083095, -0.16301773782095175, -0.01969062864491439,
-      0.015252295363621632,
-    ],
-    [
-      0.28235500444083095, -0.16301773782095175, -0.0033635609284627483,
-      -0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, -0.16301773782095175, 0.02305418957337714,
-      0.009426436941170603,
-    ],
-    [
-      0.28235500444083095, -0.138110843789558, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      0.28235500444083095, -0.138110843789558, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      0.28235500444083095, -0.138110843789558, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      0.28235500444083095, -0.11320394975816428, -0.10646503103293906,
-      0.05518332303203549,
-    ],
-    [
-      0.28235500444083095, -0.11320394975816428, -0.08004728053109919,
-      0.08928849227799834,
-    ],
-    [
-      0.28235500444083095, -0.11320394975816428, -0.03730246231280765,
-      -0.11396722458279057,
-    ],
-    [
-      0.28235500444083095, -0.11320394975816428, 0.00544235590548388,
-      -0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, -0.11320394975816428, 0.10102267512745519,
-      0.06460975997320609,
-    ],
-    [
-      0.28235500444083095, -0.11320394975816428, 0.11734974284390684,
-      0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, -0.0729037486611773, -0.14713105427420947,
-      0.015252295363621632,
-    ],
-    [
-      0.28235500444083095, -0.0729037486611773, -0.09429555327052969,
-      -0.11396722458279057,
-    ],
-    [
-      0.28235500444083095, -0.0729037486611773, -0.05155073505223816,
-      0.1386459568875828,
-    ],
-    [
-      0.28235500444083095, -0.0729037486611773, 0.06035665188618479,
-      -0.1350453783688632,
-    ],
-    [
-      0.28235500444083095, -0.0729037486611773, 0.08677440238802467,
-      0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, -0.0729037486611773, 0.14584628832276786,
-      -0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, -0.05751044159558409, -0.15257341017969334,
-      -0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, -0.05751044159558409, -0.12615565967785347,
-      -0.08928849227799834,
-    ],
-    [
-      0.28235500444083095, -0.05751044159558409, -0.01424827273943051,
-      0.15389825225120446,
-    ],
-    [
-      0.28235500444083095, -0.05751044159558409, 0.05491429598070091,
-      0.14447181531003384,
-    ],
-    [
-      0.28235500444083095, -0.05751044159558409, 0.09765911419899245,
-      -0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, -0.05751044159558409, 0.140403932417284,
-      -0.06460975997320609,
-    ],
-    [
-      0.28235500444083095, -0.032603547564190344, -0.16137932701364,
-      0.009426436941170603,
-    ],
-    [
-      0.28235500444083095, -0.032603547564190344, -0.10854382600996021,
-      -0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, -0.032603547564190344, -0.04947194007521703,
-      0.15389825225120446,
-    ],
-    [
-      0.28235500444083095, -0.032603547564190344, 0.07252612964859417,
-      -0.14447181531003384,
-    ],
-    [
-      0.28235500444083095, -0.032603547564190344, 0.08885319736504582,
-      0.1350453783688632,
-    ],
-    [
-      0.28235500444083095, -0.032603547564190344, 0.15801576608517726,
-      -0.03410516924596284,
-    ],
-    [
-      0.28235500444083095, 0.032603547564190344, -0.15801576608517726,
-      0.03410516924596284,
-    ],
-    [
-      0.28235500444083095, 0.032603547564190344, -0.08885319736504582,
-      -0.1350453783688632,
-    ],
-    [
-      0.28235500444083095, 0.032603547564190344, -0.07252612964859417,
-      0.14447181531003384,
-    ],
-    [
-      0.28235500444083095, 0.032603547564190344, 0.04947194007521703,
-      -0.15389825225120446,
-    ],
-    [
-      0.28235500444083095, 0.032603547564190344, 0.10854382600996021,
-      0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, 0.032603547564190344, 0.16137932701364,
-      -0.009426436941170603,
-    ],
-    [
-      0.28235500444083095, 0.05751044159558409, -0.140403932417284,
-      0.06460975997320609,
-    ],
-    [
-      0.28235500444083095, 0.05751044159558409, -0.09765911419899245,
-      0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, 0.05751044159558409, -0.05491429598070091,
-      -0.14447181531003384,
-    ],
-    [
-      0.28235500444083095, 0.05751044159558409, 0.01424827273943051,
-      -0.15389825225120446,
-    ],
-    [
-      0.28235500444083095, 0.05751044159558409, 0.12615565967785347,
-      0.08928849227799834,
-    ],
-    [
-      0.28235500444083095, 0.05751044159558409, 0.15257341017969334,
-      0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, 0.0729037486611773, -0.14584628832276786,
-      0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, 0.0729037486611773, -0.08677440238802467,
-      -0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, 0.0729037486611773, -0.06035665188618479,
-      0.1350453783688632,
-    ],
-    [
-      0.28235500444083095, 0.0729037486611773, 0.05155073505223816,
-      -0.1386459568875828,
-    ],
-    [
-      0.28235500444083095, 0.0729037486611773, 0.09429555327052969,
-      0.11396722458279057,
-    ],
-    [
-      0.28235500444083095, 0.0729037486611773, 0.14713105427420947,
-      -0.015252295363621632,
-    ],
-    [
-      0.28235500444083095, 0.11320394975816428, -0.11734974284390684,
-      -0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, 0.11320394975816428, -0.10102267512745519,
-      -0.06460975997320609,
-    ],
-    [
-      0.28235500444083095, 0.11320394975816428, -0.00544235590548388,
-      0.11979308300524161,
-    ],
-    [
-      0.28235500444083095, 0.11320394975816428, 0.03730246231280765,
-      0.11396722458279057,
-    ],
-    [
-      0.28235500444083095, 0.11320394975816428, 0.08004728053109919,
-      -0.08928849227799834,
-    ],
-    [
-      0.28235500444083095, 0.11320394975816428, 0.10646503103293906,
-      -0.05518332303203549,
-    ],
-    [
-      0.28235500444083095, 0.138110843789558, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      0.28235500444083095, 0.138110843789558, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      0.28235500444083095, 0.138110843789558, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      0.28235500444083095, 0.16301773782095175, -0.02305418957337714,
-      -0.009426436941170603,
-    ],
-    [
-      0.28235500444083095, 0.16301773782095175, 0.0033635609284627483,
-      0.024678732304792235,
-    ],
-    [
-      0.28235500444083095, 0.16301773782095175, 0.01969062864491439,
-      -0.015252295363621632,
-    ],
-    [
-      0.2956859994078892, -0.13041419025676138, -0.03938125728982878,
-      0.030504590727243264,
-    ],
-    [
-      0.2956859994078892, -0.13041419025676138, -0.006727121856925497,
-      -0.04935746460958447,
-    ],
-    [
-      0.2956859994078892, -0.13041419025676138, 0.04610837914675428,
-      0.018852873882341206,
-    ],
-    [
-      0.2956859994078892, -0.08060040219397391, -0.10982859196140182,
-      0.030504590727243264,
-    ],
-    [
-      0.2956859994078892, -0.08060040219397391, -0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      0.2956859994078892, -0.08060040219397391, -0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      0.2956859994078892, -0.08060040219397391, 0.02849654547886102,
-      -0.11036664606407098,
-    ],
-    [
-      0.2956859994078892, -0.08060040219397391, 0.0813320464825408,
-      0.07986205533682772,
-    ],
-    [0.2956859994078892, -0.08060040219397391, 0.11398618191544407, 0.0],
-    [
-      0.2956859994078892, -0.04981378806278748, -0.12071330377236958,
-      -0.04935746460958447,
-    ],
-    [
-      0.2956859994078892, -0.04981378806278748, 0.01761183366789326,
-      0.12921951994641218,
-    ],
-    [
-      0.2956859994078892, -0.04981378806278748, 0.10310147010447632,
-      -0.07986205533682772,
-    ],
-    [0.2956859994078892, 0.0, -0.1383251374402628, 0.018852873882341206],
-    [0.2956859994078892, 0.0, -0.08548963643658306, -0.11036664606407098],
-    [0.2956859994078892, 0.0, -0.05283550100367978, 0.12921951994641218],
-    [0.2956859994078892, 0.0, 0.05283550100367978, -0.12921951994641218],
-    [0.2956859994078892, 0.0, 0.08548963643658306, 0.11036664606407098],
-    [0.2956859994078892, 0.0, 0.1383251374402628, -0.018852873882341206],
-    [
-      0.2956859994078892, 0.04981378806278748, -0.10310147010447632,
-      0.07986205533682772,
-    ],
-    [
-      0.2956859994078892, 0.04981378806278748, -0.01761183366789326,
-      -0.12921951994641218,
-    ],
-    [
-      0.2956859994078892, 0.04981378806278748, 0.12071330377236958,
-      0.04935746460958447,
-    ],
-    [0.2956859994078892, 0.08060040219397391, -0.11398618191544407, 0.0],
-    [
-      0.2956859994078892, 0.08060040219397391, -0.0813320464825408,
-      -0.07986205533682772,
-    ],
-    [
-      0.2956859994078892, 0.08060040219397391, -0.02849654547886102,
-      0.11036664606407098,
-    ],
-    [
-      0.2956859994078892, 0.08060040219397391, 0.05699309095772204,
-      -0.09871492921916894,
-    ],
-    [
-      0.2956859994078892, 0.08060040219397391, 0.05699309095772204,
-      0.09871492921916894,
-    ],
-    [
-      0.2956859994078892, 0.08060040219397391, 0.10982859196140182,
-      -0.030504590727243264,
-    ],
-    [
-      0.2956859994078892, 0.13041419025676138, -0.04610837914675428,
-      -0.018852873882341206,
-    ],
-    [
-      0.2956859994078892, 0.13041419025676138, 0.006727121856925497,
-      0.04935746460958447,
-    ],
-    [
-      0.2956859994078892, 0.13041419025676138, 0.03938125728982878,
-      -0.030504590727243264,
-    ],
-    [
-      0.30901699437494745, -0.09781064269257106, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, -0.09781064269257106, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, -0.09781064269257106, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, -0.09781064269257106, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, -0.09781064269257106, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, -0.09781064269257106, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, -0.0729037486611773, -0.07796848555407804,
-      0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, -0.0729037486611773, -0.05155073505223816,
-      -0.05878390155075507,
-    ],
-    [
-      0.30901699437494745, -0.0729037486611773, -0.025132984550398273,
-      0.07403619691437671,
-    ],
-    [
-      0.30901699437494745, -0.0729037486611773, 0.0339389013843449,
-      -0.07043561839565712,
-    ],
-    [
-      0.30901699437494745, -0.0729037486611773, 0.04402958416973315,
-      0.06460975997320609,
-    ],
-    [
-      0.30901699437494745, -0.0729037486611773, 0.07668371960263642,
-      -0.015252295363621632,
-    ],
-    [
-      0.30901699437494745, -0.05751044159558409, -0.08341084145956193,
-      -0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, -0.05751044159558409, 0.012169477762409377,
-      0.08928849227799834,
-    ],
-    [
-      0.30901699437494745, -0.05751044159558409, 0.07124136369715256,
-      -0.05518332303203549,
-    ],
-    [
-      0.30901699437494745, -0.047996854629783564, -0.08677440238802467,
-      0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, -0.047996854629783564, -0.06035665188618479,
-      0.07403619691437671,
-    ],
-    [
-      0.30901699437494745, -0.047996854629783564, -0.0339389013843449,
-      -0.08928849227799834,
-    ],
-    [
-      0.30901699437494745, -0.047996854629783564, 0.00880591683394663,
-      -0.09511435070044935,
-    ],
-    [
-      0.30901699437494745, -0.047996854629783564, 0.07796848555407804,
-      0.05518332303203549,
-    ],
-    [
-      0.30901699437494745, -0.047996854629783564, 0.09429555327052969,
-      0.015252295363621632,
-    ],
-    [
-      0.30901699437494745, -0.01721024049859713, -0.09765911419899245,
-      -0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, -0.01721024049859713, 0.01424827273943051,
-      0.10454078764161998,
-    ],
-    [
-      0.30901699437494745, -0.01721024049859713, 0.08341084145956193,
-      -0.06460975997320609,
-    ],
-    [
-      0.30901699437494745, -0.00769665353279661, -0.10102267512745519,
-      0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, -0.00769665353279661, -0.05827785690916366,
-      0.08928849227799834,
-    ],
-    [
-      0.30901699437494745, -0.00769665353279661, -0.048187174123775406,
-      -0.09511435070044935,
-    ],
-    [
-      0.30901699437494745, -0.00769665353279661, 0.020975394596356008,
-      -0.10454078764161998,
-    ],
-    [
-      0.30901699437494745, -0.00769665353279661, 0.08004728053109919,
-      0.07043561839565712,
-    ],
-    [
-      0.30901699437494745, -0.00769665353279661, 0.10646503103293906,
-      0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, 0.00769665353279661, -0.10646503103293906,
-      -0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, 0.00769665353279661, -0.08004728053109919,
-      -0.07043561839565712,
-    ],
-    [
-      0.30901699437494745, 0.00769665353279661, -0.020975394596356008,
-      0.10454078764161998,
-    ],
-    [
-      0.30901699437494745, 0.00769665353279661, 0.048187174123775406,
-      0.09511435070044935,
-    ],
-    [
-      0.30901699437494745, 0.00769665353279661, 0.05827785690916366,
-      -0.08928849227799834,
-    ],
-    [
-      0.30901699437494745, 0.00769665353279661, 0.10102267512745519,
-      -0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, 0.01721024049859713, -0.08341084145956193,
-      0.06460975997320609,
-    ],
-    [
-      0.30901699437494745, 0.01721024049859713, -0.01424827273943051,
-      -0.10454078764161998,
-    ],
-    [
-      0.30901699437494745, 0.01721024049859713, 0.09765911419899245,
-      0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, 0.047996854629783564, -0.09429555327052969,
-      -0.015252295363621632,
-    ],
-    [
-      0.30901699437494745, 0.047996854629783564, -0.07796848555407804,
-      -0.05518332303203549,
-    ],
-    [
-      0.30901699437494745, 0.047996854629783564, -0.00880591683394663,
-      0.09511435070044935,
-    ],
-    [
-      0.30901699437494745, 0.047996854629783564, 0.0339389013843449,
-      0.08928849227799834,
-    ],
-    [
-      0.30901699437494745, 0.047996854629783564, 0.06035665188618479,
-      -0.07403619691437671,
-    ],
-    [
-      0.30901699437494745, 0.047996854629783564, 0.08677440238802467,
-      -0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, 0.05751044159558409, -0.07124136369715256,
-      0.05518332303203549,
-    ],
-    [
-      0.30901699437494745, 0.05751044159558409, -0.012169477762409377,
-      -0.08928849227799834,
-    ],
-    [
-      0.30901699437494745, 0.05751044159558409, 0.08341084145956193,
-      0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, 0.0729037486611773, -0.07668371960263642,
-      0.015252295363621632,
-    ],
-    [
-      0.30901699437494745, 0.0729037486611773, -0.04402958416973315,
-      -0.06460975997320609,
-    ],
-    [
-      0.30901699437494745, 0.0729037486611773, -0.0339389013843449,
-      0.07043561839565712,
-    ],
-    [
-      0.30901699437494745, 0.0729037486611773, 0.025132984550398273,
-      -0.07403619691437671,
-    ],
-    [
-      0.30901699437494745, 0.0729037486611773, 0.05155073505223816,
-      0.05878390155075507,
-    ],
-    [
-      0.30901699437494745, 0.0729037486611773, 0.07796848555407804,
-      -0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, 0.09781064269257106, -0.04274481821829153,
-      0.005825858422451027,
-    ],
-    [
-      0.30901699437494745, 0.09781064269257106, -0.02641775050183989,
-      -0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, 0.09781064269257106, -0.01632706771645164,
-      0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, 0.09781064269257106, 0.01632706771645164,
-      -0.03993102766841386,
-    ],
-    [
-      0.30901699437494745, 0.09781064269257106, 0.02641775050183989,
-      0.03410516924596284,
-    ],
-    [
-      0.30901699437494745, 0.09781064269257106, 0.04274481821829153,
-      -0.005825858422451027,
-    ],
-  ],
-  faces: [
-    [0, 1, 3, 5, 4, 2],
-    [54, 55, 57, 59, 58, 56],
-    [17, 18, 27, 37, 26],
-    [22, 32, 41, 42, 33],
-    [6, 12, 21, 30, 24, 15],
-    [29, 35, 44, 53, 47, 38],
-    [8, 13, 22, 32, 25, 16],
-    [27, 34, 43, 51, 46, 37],
-    [9, 14, 23, 34, 27, 18],
-    [10, 13, 22, 33, 28, 19],
-    [26, 31, 40, 49, 46, 37],
-    [25, 32, 41, 50, 45, 36],
-    [1, 3, 9, 18, 17, 7],
-    [7, 12, 21, 31, 26, 17],
-    [28, 33, 42, 52, 47, 38],
-    [41, 42, 52, 58, 56, 50],
-    [2, 4, 10, 13, 8],
-    [15, 16, 25, 36, 24],
-    [23, 34, 43, 44, 35],
-    [46, 49, 55, 57, 51],
-    [0, 2, 8, 16, 15, 6],
-    [43, 44, 53, 59, 57, 51],
-    [3, 5, 11, 14, 9],
-    [19, 20, 29, 38, 28],
-    [21, 30, 39, 40, 31],
-    [45, 48, 54, 56, 50],
-    [4, 5, 11, 20, 19, 10],
-    [11, 14, 23, 35, 29, 20],
-    [24, 30, 39, 48, 45, 36],
-    [39, 40, 49, 55, 54, 48],
-    [0, 1, 7, 12, 6],
-    [47, 52, 58, 59, 53],
-    [1, 3, 61],
-    [0, 2, 60],
-    [4, 5, 62],
-    [2, 4, 62, 92, 90, 60],
-    [3, 5, 62, 92, 91, 61],
-    [0, 1, 61, 91, 90, 60],
-    [90, 91, 92],
-    [8, 16, 65],
-    [6, 15, 63],
-    [0, 6, 63, 96, 93, 60],
-    [2, 8, 65, 97, 93, 60],
-    [15, 16, 65, 97, 96, 63],
-    [93, 96, 97],
-    [7, 17, 64],
-    [9, 18, 66],
-    [17, 18, 66, 99, 98, 64],
-    [1, 7, 64, 98, 94, 61],
-    [94, 98, 99],
-    [3, 9, 66, 99, 94, 61],
-    [10, 19, 67],
-    [11, 20, 68],
-    [5, 11, 68, 101, 95, 62],
-    [4, 10, 67, 100, 95, 62],
-    [19, 20, 68, 101, 100, 67],
-    [95, 100, 101],
-    [12, 21, 69],
-    [24, 30, 72],
-    [15, 24, 72, 114, 102, 63],
-    [21, 30, 72, 114, 108, 69],
-    [6, 12, 69, 108, 102, 63],
-    [102, 108, 114],
-    [26, 31, 73],
-    [17, 26, 73, 115, 103, 64],
-    [7, 12, 69, 109, 103, 64],
-    [103, 109, 115],
-    [21, 31, 73, 115, 109, 69],
-    [13, 22, 70],
-    [25, 32, 74],
-    [22, 32, 74, 116, 110, 70],
-    [104, 110, 116],
-    [8, 13, 70, 110, 104, 65],
-    [16, 25, 74, 116, 104, 65],
-    [14, 23, 71],
-    [27, 34, 75],
-    [18, 27, 75, 117, 105, 66],
-    [105, 112, 117],
-    [9, 14, 71, 112, 105, 66],
-    [23, 34, 75, 117, 112, 71],
-    [28, 33, 76],
-    [22, 33, 76, 118, 111, 70],
-    [106, 111, 118],
-    [19, 28, 76, 118, 106, 67],
-    [10, 13, 70, 111, 106, 67],
-    [29, 35, 77],
-    [20, 29, 77, 119, 107, 68],
-    [23, 35, 77, 119, 113, 71],
-    [11, 14, 71, 113, 107, 68],
-    [107, 113, 119],
-    [36, 45, 78],
-    [39, 48, 81],
-    [30, 39, 81, 132, 120, 72],
-    [24, 36, 78, 126, 120, 72],
-    [45, 48, 81, 132, 126, 78],
-    [120, 126, 132],
-    [37, 46, 79],
-    [40, 49, 82],
-    [26, 37, 79, 128, 121, 73],
-    [121, 128, 133],
-    [31, 40, 82, 133, 121, 73],
-    [46, 49, 82, 133, 128, 79],
-    [41, 50, 83],
-    [32, 41, 83, 134, 122, 74],
-    [122, 127, 134],
-    [45, 50, 83, 134, 127, 78],
-    [25, 36, 78, 127, 122, 74],
-    [43, 51, 84],
-    [27, 37, 79, 129, 123, 75],
-    [123, 129, 135],
-    [34, 43, 84, 135, 123, 75],
-    [46, 51, 84, 135, 129, 79],
-    [38, 47, 80],
-    [42, 52, 85],
-    [33, 42, 85, 136, 124, 76],
-    [47, 52, 85, 136, 130, 80],
-    [124, 130, 136],
-    [28, 38, 80, 130, 124, 76],
-    [44, 53, 86],
-    [35, 44, 86, 137, 125, 77],
-    [29, 38, 80, 131, 125, 77],
-    [47, 53, 86, 137, 131, 80],
-    [125, 131, 137],
-    [54, 55, 87],
-    [48, 54, 87, 144, 138, 81],
-    [49, 55, 87, 144, 139, 82],
-    [39, 40, 82, 139, 138, 81],
-    [138, 139, 144],
-    [56, 58, 88],
-    [41, 42, 85, 141, 140, 83],
-    [52, 58, 88, 145, 141, 85],
-    [140, 141, 145],
-    [50, 56, 88, 145, 140, 83],
-    [57, 59, 89],
-    [53, 59, 89, 146, 143, 86],
-    [43, 44, 86, 143, 142, 84],
-    [51, 57, 89, 146, 142, 84],
-    [142, 143, 146],
-    [55, 57, 89, 149, 147, 87],
-    [54, 56, 88, 148, 147, 87],
-    [58, 59, 89, 149, 148, 88],
-    [147, 148, 149],
-    [60, 90, 150, 153, 93],
-    [61, 91, 151, 154, 94],
-    [63, 96, 156, 162, 102],
-    [64, 98, 158, 163, 103],
-    [69, 108, 168, 169, 109],
-    [93, 96, 156, 222, 216, 153],
-    [94, 98, 158, 224, 218, 154],
-    [103, 109, 169, 241, 235, 163],
-    [158, 163, 235, 349, 343, 224],
-    [90, 91, 151, 211, 210, 150],
-    [102, 108, 168, 240, 234, 162],
-    [150, 153, 216, 336, 330, 210],
-    [156, 162, 234, 348, 342, 222],
-    [216, 222, 342, 453, 336],
-    [218, 224, 343, 454, 337],
-    [235, 241, 355, 460, 349],
-    [343, 349, 460, 580, 574, 454],
-    [151, 154, 218, 337, 331, 211],
-    [168, 169, 241, 355, 354, 240],
-    [330, 336, 453, 573, 570, 450],
-    [342, 348, 459, 579, 573, 453],
-    [210, 211, 331, 450, 330],
-    [234, 240, 354, 459, 348],
-    [331, 337, 454, 574, 570, 450],
-    [354, 355, 460, 580, 579, 459],
-    [570, 573, 579, 580, 574],
-    [62, 92, 152, 155, 95],
-    [65, 97, 157, 164, 104],
-    [70, 110, 170, 171, 111],
-    [67, 100, 160, 166, 106],
-    [90, 92, 152, 214, 212, 150],
-    [95, 100, 160, 226, 220, 155],
-    [104, 110, 170, 242, 236, 164],
-    [106, 111, 171, 243, 238, 166],
-    [93, 97, 157, 223, 217, 153],
-    [170, 171, 243, 361, 360, 242],
-    [152, 155, 220, 340, 334, 214],
-    [217, 223, 344, 455, 338],
-    [150, 153, 217, 338, 332, 212],
-    [236, 242, 360, 461, 350],
-    [212, 214, 334, 451, 332],
-    [238, 243, 361, 462, 352],
-    [360, 361, 462, 582, 581, 461],
-    [157, 164, 236, 350, 344, 223],
-    [344, 350, 461, 581, 575, 455],
-    [346, 352, 462, 582, 576, 457],
-    [571, 575, 581, 582, 576],
-    [220, 226, 346, 457, 340],
-    [160, 166, 238, 352, 346, 226],
-    [334, 340, 457, 576, 571, 451],
-    [332, 338, 455, 575, 571, 451],
-    [68, 101, 161, 167, 107],
-    [66, 99, 159, 165, 105],
-    [71, 112, 172, 173, 113],
-    [95, 101, 161, 227, 221, 155],
-    [105, 112, 172, 244, 237, 165],
-    [91, 92, 152, 215, 213, 151],
-    [94, 99, 159, 225, 219, 154],
-    [159, 165, 237, 351, 345, 225],
-    [152, 155, 221, 341, 335, 215],
-    [161, 167, 239, 353, 347, 227],
-    [239, 245, 363, 464, 353],
-    [237, 244, 362, 463, 351],
-    [221, 227, 347, 458, 341],
-    [107, 113, 173, 245, 239, 167],
-    [172, 173, 245, 363, 362, 244],
-    [219, 225, 345, 456, 339],
-    [345, 351, 463, 583, 577, 456],
-    [213, 215, 335, 452, 333],
-    [362, 363, 464, 584, 583, 463],
-    [335, 341, 458, 578, 572, 452],
-    [333, 339, 456, 577, 572, 452],
-    [572, 577, 583, 584, 578],
-    [347, 353, 464, 584, 578, 458],
-    [151, 154, 219, 339, 333, 213],
-    [72, 114, 174, 180, 120],
-    [74, 116, 176, 182, 122],
-    [78, 126, 186, 187, 127],
-    [102, 114, 174, 258, 246, 162],
-    [120, 126, 186, 282, 270, 180],
-    [104, 116, 176, 260, 248, 164],
-    [122, 127, 187, 283, 271, 182],
-    [96, 97, 157, 229, 228, 156],
-    [176, 182, 271, 391, 380, 260],
-    [174, 180, 270, 390, 378, 258],
-    [228, 229, 357, 465, 356],
-    [156, 162, 246, 366, 356, 228],
-    [248, 260, 380, 469, 367],
-    [246, 258, 378, 468, 366],
-    [271, 283, 403, 481, 391],
-    [380, 391, 481, 595, 589, 469],
-    [157, 164, 248, 367, 357, 229],
-    [357, 367, 469, 589, 585, 465],
-    [402, 403, 481, 595, 594, 480],
-    [585, 588, 594, 595, 589],
-    [270, 282, 402, 480, 390],
-    [186, 187, 283, 403, 402, 282],
-    [378, 390, 480, 594, 588, 468],
-    [356, 366, 468, 588, 585, 465],
-    [73, 115, 175, 181, 121],
-    [75, 117, 177, 183, 123],
-    [79, 128, 188, 189, 129],
-    [98, 99, 159, 231, 230, 158],
-    [103, 115, 175, 259, 247, 163],
-    [105, 117, 177, 261, 249, 165],
-    [121, 128, 188, 284, 272, 181],
-    [230, 231, 359, 466, 358],
-    [247, 259, 379, 470, 368],
-    [381, 393, 483, 597, 591, 471],
-    [404, 405, 483, 597, 596, 482],
-    [158, 163, 247, 368, 358, 230],
-    [586, 590, 596, 597, 591],
-    [273, 285, 405, 483, 393],
-    [123, 129, 189, 285, 273, 183],
-    [359, 369, 471, 591, 586, 466],
-    [379, 392, 482, 596, 590, 470],
-    [249, 261, 381, 471, 369],
-    [272, 284, 404, 482, 392],
-    [358, 368, 470, 590, 586, 466],
-    [177, 183, 273, 393, 381, 261],
-    [188, 189, 285, 405, 404, 284],
-    [159, 165, 249, 369, 359, 231],
-    [175, 181, 272, 392, 379, 259],
-    [77, 119, 179, 185, 125],
-    [76, 118, 178, 184, 124],
-    [80, 130, 190, 191, 131],
-    [107, 119, 179, 263, 251, 167],
-    [106, 118, 178, 262, 250, 166],
-    [125, 131, 191, 287, 275, 185],
-    [124, 130, 190, 286, 274, 184],
-    [178, 184, 274, 394, 382, 262],
-    [179, 185, 275, 395, 383, 263],
-    [232, 233, 365, 467, 364],
-    [161, 167, 251, 371, 365, 233],
-    [250, 262, 382, 472, 370],
-    [251, 263, 383, 473, 371],
-    [100, 101, 161, 233, 232, 160],
-    [160, 166, 250, 370, 364, 232],
-    [274, 286, 406, 484, 394],
-    [382, 394, 484, 598, 592, 472],
-    [275, 287, 407, 485, 395],
-    [364, 370, 472, 592, 587, 467],
-    [383, 395, 485, 599, 593, 473],
-    [406, 407, 485, 599, 598, 484],
-    [365, 371, 473, 593, 587, 467],
-    [587, 592, 598, 599, 593],
-    [190, 191, 287, 407, 406, 286],
-    [81, 132, 192, 198, 138],
-    [82, 133, 193, 199, 139],
-    [120, 132, 192, 288, 276, 180],
-    [121, 133, 193, 289, 277, 181],
-    [108, 114, 174, 264, 252, 168],
-    [109, 115, 175, 265, 253, 169],
-    [175, 181, 277, 397, 385, 265],
-    [174, 180, 276, 396, 384, 264],
-    [306, 307, 415, 492, 414],
-    [192, 198, 306, 414, 408, 288],
-    [277, 289, 409, 487, 397],
-    [276, 288, 408, 486, 396],
-    [138, 139, 199, 307, 306, 198],
-    [193, 199, 307, 415, 409, 289],
-    [253, 265, 385, 475, 373],
-    [385, 397, 487, 607, 601, 475],
-    [252, 264, 384, 474, 372],
-    [409, 415, 492, 612, 607, 487],
-    [384, 396, 486, 606, 600, 474],
-    [372, 373, 475, 601, 600, 474],
-    [600, 601, 607, 612, 606],
-    [408, 414, 492, 612, 606, 486],
-    [168, 169, 253, 373, 372, 252],
-    [85, 136, 196, 201, 141],
-    [83, 134, 194, 200, 140],
-    [124, 136, 196, 292, 280, 184],
-    [140, 141, 201, 309, 308, 200],
-    [111, 118, 178, 267, 255, 171],
-    [122, 134, 194, 290, 278, 182],
-    [308, 309, 421, 493, 420],
-    [280, 292, 411, 489, 400],
-    [374, 375, 477, 603, 602, 476],
-    [386, 398, 488, 608, 602, 476],
-    [110, 116, 176, 266, 254, 170],
-    [254, 266, 386, 476, 374],
-    [602, 603, 609, 613, 608],
-    [196, 201, 309, 421, 411, 292],
-    [387, 400, 489, 609, 603, 477],
-    [410, 420, 493, 613, 608, 488],
-    [255, 267, 387, 477, 375],
-    [278, 290, 410, 488, 398],
-    [411, 421, 493, 613, 609, 489],
-    [170, 171, 255, 375, 374, 254],
-    [176, 182, 278, 398, 386, 266],
-    [178, 184, 280, 400, 387, 267],
-    [194, 200, 308, 420, 410, 290],
-    [84, 135, 195, 202, 142],
-    [86, 137, 197, 203, 143],
-    [125, 137, 197, 293, 281, 185],
-    [113, 119, 179, 269, 257, 173],
-    [123, 135, 195, 291, 279, 183],
-    [112, 117, 177, 268, 256, 172],
-    [142, 143, 203, 311, 310, 202],
-    [177, 183, 279, 399, 388, 268],
-    [179, 185, 281, 401, 389, 269],
-    [310, 311, 423, 494, 422],
-    [197, 203, 311, 423, 413, 293],
-    [279, 291, 412, 490, 399],
-    [256, 268, 388, 478, 376],
-    [281, 293, 413, 491, 401],
-    [388, 399, 490, 610, 604, 478],
-    [195, 202, 310, 422, 412, 291],
-    [412, 422, 494, 614, 610, 490],
-    [376, 377, 479, 605, 604, 478],
-    [257, 269, 389, 479, 377],
-    [604, 605, 611, 614, 610],
-    [172, 173, 257, 377, 376, 256],
-    [389, 401, 491, 611, 605, 479],
-    [413, 423, 494, 614, 611, 491],
-    [87, 144, 204, 207, 147],
-    [88, 145, 205, 208, 148],
-    [138, 144, 204, 318, 312, 198],
-    [127, 134, 194, 302, 295, 187],
-    [147, 148, 208, 326, 324, 207],
-    [140, 145, 205, 320, 314, 200],
-    [194, 200, 314, 434, 428, 302],
-    [204, 207, 324, 444, 438, 318],
-    [192, 198, 312, 432, 426, 300],
-    [294, 300, 426, 495, 416],
-    [295, 302, 428, 496, 417],
-    [312, 318, 438, 501, 432],
-    [126, 132, 192, 300, 294, 186],
-    [186, 187, 295, 417, 416, 294],
-    [314, 320, 440, 503, 434],
-    [428, 434, 503, 622, 616, 496],
-    [324, 326, 446, 507, 444],
-    [416, 417, 496, 616, 615, 495],
-    [438, 444, 507, 627, 621, 501],
-    [440, 446, 507, 627, 622, 503],
-    [426, 432, 501, 621, 615, 495],
-    [615, 616, 622, 627, 621],
-    [205, 208, 326, 446, 440, 320],
-    [89, 146, 206, 209, 149],
-    [147, 149, 209, 327, 325, 207],
-    [139, 144, 204, 319, 313, 199],
-    [129, 135, 195, 303, 297, 189],
-    [128, 133, 193, 301, 296, 188],
-    [142, 146, 206, 322, 316, 202],
-    [188, 189, 297, 419, 418, 296],
-    [204, 207, 325, 445, 439, 319],
-    [316, 322, 441, 504, 435],
-    [206, 209, 327, 447, 441, 322],
-    [297, 303, 429, 498, 419],
-    [296, 301, 427, 497, 418],
-    [325, 327, 447, 508, 445],
-    [418, 419, 498, 618, 617, 497],
-    [195, 202, 316, 435, 429, 303],
-    [429, 435, 504, 624, 618, 498],
-    [427, 433, 502, 623, 617, 497],
-    [313, 319, 439, 502, 433],
-    [617, 618, 624, 628, 623],
-    [193, 199, 313, 433, 427, 301],
-    [439, 445, 508, 628, 623, 502],
-    [441, 447, 508, 628, 624, 504],
-    [143, 146, 206, 323, 317, 203],
-    [130, 136, 196, 304, 298, 190],
-    [141, 145, 205, 321, 315, 201],
-    [196, 201, 315, 436, 430, 304],
-    [131, 137, 197, 305, 299, 191],
-    [148, 149, 209, 329, 328, 208],
-    [197, 203, 317, 437, 431, 305],
-    [206, 209, 329, 449, 443, 323],
-    [317, 323, 443, 506, 437],
-    [298, 304, 430, 499, 424],
-    [315, 321, 442, 505, 436],
-    [430, 436, 505, 625, 619, 499],
-    [190, 191, 299, 425, 424, 298],
-    [205, 208, 328, 448, 442, 321],
-    [431, 437, 506, 626, 620, 500],
-    [443, 449, 509, 629, 626, 506],
-    [299, 305, 431, 500, 425],
-    [328, 329, 449, 509, 448],
-    [424, 425, 500, 620, 619, 499],
-    [442, 448, 509, 629, 625, 505],
-    [619, 620, 626, 629, 625],
-    [151, 211, 213],
-    [150, 210, 212],
-    [152, 214, 215],
-    [210, 211, 213, 215, 214, 212],
-    [157, 223, 229],
-    [153, 216, 217],
-    [156, 222, 228],
-    [216, 217, 223, 229, 228, 222],
-    [154, 218, 219],
-    [159, 225, 231],
-    [158, 224, 230],
-    [218, 219, 225, 231, 230, 224],
-    [160, 226, 232],
-    [161, 227, 233],
-    [155, 220, 221],
-    [220, 221, 227, 233, 232, 226],
-    [168, 240, 252],
-    [162, 234, 246],
-    [174, 258, 264],
-    [234, 240, 252, 264, 258, 246],
-    [169, 241, 253],
-    [175, 259, 265],
-    [163, 235, 247],
-    [235, 241, 253, 265, 259, 247],
-    [170, 242, 254],
-    [176, 260, 266],
-    [236, 242, 254, 266, 260, 248],
-    [164, 236, 248],
-    [177, 261, 268],
-    [172, 244, 256],
-    [237, 244, 256, 268, 261, 249],
-    [165, 237, 249],
-    [171, 243, 255],
-    [166, 238, 250],
-    [238, 243, 255, 267, 262, 250],
-    [178, 262, 267],
-    [173, 245, 257],
-    [167, 239, 251],
-    [179, 263, 269],
-    [239, 245, 257, 269, 263, 251],
-    [186, 282, 294],
-    [192, 288, 300],
-    [180, 270, 276],
-    [270, 276, 288, 300, 294, 282],
-    [188, 284, 296],
-    [193, 289, 301],
-    [272, 277, 289, 301, 296, 284],
-    [181, 272, 277],
-    [182, 271, 278],
-    [187, 283, 295],
-    [271, 278, 290, 302, 295, 283],
-    [194, 290, 302],
-    [183, 273, 279],
-    [189, 285, 297],
-    [273, 279, 291, 303, 297, 285],
-    [195, 291, 303],
-    [184, 274, 280],
-    [190, 286, 298],
-    [196, 292, 304],
-    [274, 280, 292, 304, 298, 286],
-    [191, 287, 299],
-    [197, 293, 305],
-    [185, 275, 281],
-    [275, 281, 293, 305, 299, 287],
-    [199, 307, 313],
-    [198, 306, 312],
-    [204, 318, 319],
-    [306, 307, 313, 319, 318, 312],
-    [200, 308, 314],
-    [205, 320, 321],
-    [201, 309, 315],
-    [308, 309, 315, 321, 320, 314],
-    [202, 310, 316],
-    [203, 311, 317],
-    [206, 322, 323],
-    [310, 311, 317, 323, 322, 316],
-    [208, 326, 328],
-    [209, 327, 329],
-    [207, 324, 325],
-    [324, 325, 327, 329, 328, 326],
-    [332, 338, 511],
-    [216, 217, 338, 511, 510, 336],
-    [330, 336, 510],
-    [210, 212, 332, 511, 510, 330],
-    [218, 219, 339, 513, 512, 337],
-    [331, 337, 512],
-    [211, 213, 333, 513, 512, 331],
-    [333, 339, 513],
-    [334, 340, 514],
-    [335, 341, 515],
-    [220, 221, 341, 515, 514, 340],
-    [214, 215, 335, 515, 514, 334],
-    [356, 366, 522],
-    [222, 228, 356, 522, 516, 342],
-    [342, 348, 516],
-    [234, 246, 366, 522, 516, 348],
-    [358, 368, 524],
-    [343, 349, 517],
-    [224, 230, 358, 524, 517, 343],
-    [235, 247, 368, 524, 517, 349],
-    [236, 248, 367, 523, 518, 350],
-    [223, 229, 357, 523, 518, 344],
-    [344, 350, 518],
-    [357, 367, 523],
-    [359, 369, 525],
-    [237, 249, 369, 525, 519, 351],
-    [345, 351, 519],
-    [225, 231, 359, 525, 519, 345],
-    [238, 250, 370, 526, 520, 352],
-    [364, 370, 526],
-    [226, 232, 364, 526, 520, 346],
-    [346, 352, 520],
-    [227, 233, 365, 527, 521, 347],
-    [239, 251, 371, 527, 521, 353],
-    [347, 353, 521],
-    [365, 371, 527],
-    [241, 253, 373, 531, 528, 355],
-    [354, 355, 528],
-    [240, 252, 372, 531, 528, 354],
-    [372, 373, 531],
-    [360, 361, 529],
-    [374, 375, 532],
-    [242, 254, 374, 532, 529, 360],
-    [243, 255, 375, 532, 529, 361],
-    [244, 256, 376, 533, 530, 362],
-    [362, 363, 530],
-    [245, 257, 377, 533, 530, 363],
-    [376, 377, 533],
-    [378, 390, 534],
-    [384, 396, 540],
-    [270, 276, 396, 540, 534, 390],
-    [258, 264, 384, 540, 534, 378],
-    [379, 392, 535],
-    [272, 277, 397, 541, 535, 392],
-    [385, 397, 541],
-    [259, 265, 385, 541, 535, 379],
-    [380, 391, 536],
-    [386, 398, 542],
-    [260, 266, 386, 542, 536, 380],
-    [271, 278, 398, 542, 536, 391],
-    [388, 399, 543],
-    [381, 393, 537],
-    [273, 279, 399, 543, 537, 393],
-    [261, 268, 388, 543, 537, 381],
-    [387, 400, 544],
-    [262, 267, 387, 544, 538, 382],
-    [382, 394, 538],
-    [274, 280, 400, 544, 538, 394],
-    [389, 401, 545],
-    [383, 395, 539],
-    [263, 269, 389, 545, 539, 383],
-    [275, 281, 401, 545, 539, 395],
-    [283, 295, 417, 549, 546, 403],
-    [416, 417, 549],
-    [282, 294, 416, 549, 546, 402],
-    [402, 403, 546],
-    [418, 419, 550],
-    [404, 405, 547],
-    [285, 297, 419, 550, 547, 405],
-    [284, 296, 418, 550, 547, 404],
-    [286, 298, 424, 551, 548, 406],
-    [424, 425, 551],
-    [287, 299, 425, 551, 548, 407],
-    [406, 407, 548],
-    [288, 300, 426, 558, 552, 408],
-    [306, 312, 432, 558, 552, 414],
-    [408, 414, 552],
-    [426, 432, 558],
-    [289, 301, 427, 559, 553, 409],
-    [409, 415, 553],
-    [307, 313, 433, 559, 553, 415],
-    [427, 433, 559],
-    [410, 420, 554],
-    [290, 302, 428, 560, 554, 410],
-    [428, 434, 560],
-    [308, 314, 434, 560, 554, 420],
-    [291, 303, 429, 561, 556, 412],
-    [310, 316, 435, 561, 556, 422],
-    [412, 422, 556],
-    [429, 435, 561],
-    [411, 421, 555],
-    [430, 436, 562],
-    [292, 304, 430, 562, 555, 411],
-    [309, 315, 436, 562, 555, 421],
-    [413, 423, 557],
-    [311, 317, 437, 563, 557, 423],
-    [431, 437, 563],
-    [293, 305, 431, 563, 557, 413],
-    [439, 445, 565],
-    [438, 444, 564],
-    [318, 319, 439, 565, 564, 438],
-    [324, 325, 445, 565, 564, 444],
-    [320, 321, 442, 567, 566, 440],
-    [442, 448, 567],
-    [326, 328, 448, 567, 566, 446],
-    [440, 446, 566],
-    [441, 447, 568],
-    [322, 323, 443, 569, 568, 441],
-    [443, 449, 569],
-    [327, 329, 449, 569, 568, 447],
-    [450, 570, 630],
-    [453, 573, 633],
-    [336, 453, 633, 756, 690, 510],
-    [330, 450, 630, 750, 690, 510],
-    [570, 573, 633, 756, 750, 630],
-    [690, 750, 756],
-    [454, 574, 634],
-    [337, 454, 634, 757, 692, 512],
-    [331, 450, 630, 751, 692, 512],
-    [692, 751, 757],
-    [570, 574, 634, 757, 751, 630],
-    [451, 571, 631],
-    [455, 575, 635],
-    [332, 451, 631, 752, 691, 511],
-    [571, 575, 635, 758, 752, 631],
-    [338, 455, 635, 758, 691, 511],
-    [691, 752, 758],
-    [452, 572, 632],
-    [456, 577, 636],
-    [333, 452, 632, 754, 693, 513],
-    [339, 456, 636, 759, 693, 513],
-    [572, 577, 636, 759, 754, 632],
-    [693, 754, 759],
-    [457, 576, 637],
-    [334, 451, 631, 753, 694, 514],
-    [340, 457, 637, 760, 694, 514],
-    [571, 576, 637, 760, 753, 631],
-    [694, 753, 760],
-    [458, 578, 638],
-    [341, 458, 638, 761, 695, 515],
-    [335, 452, 632, 755, 695, 515],
-    [572, 578, 638, 761, 755, 632],
-    [695, 755, 761],
-    [459, 579, 639],
-    [342, 453, 633, 762, 696, 516],
-    [348, 459, 639, 768, 696, 516],
-    [573, 579, 639, 768, 762, 633],
-    [696, 762, 768],
-    [460, 580, 640],
-    [343, 454, 634, 763, 697, 517],
-    [349, 460, 640, 769, 697, 517],
-    [574, 580, 640, 769, 763, 634],
-    [697, 763, 769],
-    [461, 581, 641],
-    [350, 461, 641, 770, 698, 518],
-    [344, 455, 635, 764, 698, 518],
-    [698, 764, 770],
-    [575, 581, 641, 770, 764, 635],
-    [463, 583, 643],
-    [351, 463, 643, 772, 699, 519],
-    [345, 456, 636, 765, 699, 519],
-    [699, 765, 772],
-    [577, 583, 643, 772, 765, 636],
-    [462, 582, 642],
-    [346, 457, 637, 766, 700, 520],
-    [352, 462, 642, 771, 700, 520],
-    [576, 582, 642, 771, 766, 637],
-    [700, 766, 771],
-    [464, 584, 644],
-    [347, 458, 638, 767, 701, 521],
-    [353, 464, 644, 773, 701, 521],
-    [578, 584, 644, 773, 767, 638],
-    [701, 767, 773],
-    [355, 460, 640, 775, 708, 528],
-    [354, 459, 639, 774, 708, 528],
-    [708, 774, 775],
-    [579, 580, 640, 775, 774, 639],
-    [360, 461, 641, 776, 709, 529],
-    [361, 462, 642, 777, 709, 529],
-    [709, 776, 777],
-    [581, 582, 642, 777, 776, 641],
-    [362, 463, 643, 778, 710, 530],
-    [363, 464, 644, 779, 710, 530],
-    [710, 778, 779],
-    [583, 584, 644, 779, 778, 643],
-    [465, 585, 645],
-    [468, 588, 648],
-    [366, 468, 648, 786, 702, 522],
-    [585, 588, 648, 786, 780, 645],
-    [356, 465, 645, 780, 702, 522],
-    [702, 780, 786],
-    [469, 589, 649],
-    [367, 469, 649, 787, 703, 523],
-    [357, 465, 645, 781, 703, 523],
-    [703, 781, 787],
-    [585, 589, 649, 787, 781, 645],
-    [466, 586, 646],
-    [470, 590, 650],
-    [358, 466, 646, 782, 704, 524],
-    [368, 470, 650, 788, 704, 524],
-    [586, 590, 650, 788, 782, 646],
-    [704, 782, 788],
-    [471, 591, 651],
-    [359, 466, 646, 783, 705, 525],
-    [586, 591, 651, 789, 783, 646],
-    [705, 783, 789],
-    [369, 471, 651, 789, 705, 525],
-    [467, 587, 647],
-    [472, 592, 652],
-    [370, 472, 652, 790, 706, 526],
-    [364, 467, 647, 784, 706, 526],
-    [706, 784, 790],
-    [587, 592, 652, 790, 784, 647],
-    [473, 593, 653],
-    [371, 473, 653, 791, 707, 527],
-    [365, 467, 647, 785, 707, 527],
-    [587, 593, 653, 791, 785, 647],
-    [707, 785, 791],
-    [474, 600, 654],
-    [475, 601, 655],
-    [372, 474, 654, 798, 711, 531],
-    [373, 475, 655, 799, 711, 531],
-    [600, 601, 655, 799, 798, 654],
-    [711, 798, 799],
-    [480, 594, 660],
-    [378, 468, 648, 792, 714, 534],
-    [390, 480, 660, 804, 714, 534],
-    [588, 594, 660, 804, 792, 648],
-    [714, 792, 804],
-    [481, 595, 661],
-    [380, 469, 649, 793, 716, 536],
-    [391, 481, 661, 805, 716, 536],
-    [716, 793, 805],
-    [589, 595, 661, 805, 793, 649],
-    [482, 596, 662],
-    [379, 470, 650, 794, 715, 535],
-    [590, 596, 662, 806, 794, 650],
-    [715, 794, 806],
-    [392, 482, 662, 806, 715, 535],
-    [483, 597, 663],
-    [381, 471, 651, 795, 717, 537],
-    [591, 597, 663, 807, 795, 651],
-    [717, 795, 807],
-    [393, 483, 663, 807, 717, 537],
-    [476, 602, 656],
-    [477, 603, 657],
-    [375, 477, 657, 801, 712, 532],
-    [602, 603, 657, 801, 800, 656],
-    [712, 800, 801],
-    [374, 476, 656, 800, 712, 532],
-    [479, 605, 659],
-    [478, 604, 658],
-    [377, 479, 659, 803, 713, 533],
-    [376, 478, 658, 802, 713, 533],
-    [604, 605, 659, 803, 802, 658],
-    [713, 802, 803],
-    [484, 598, 664],
-    [382, 472, 652, 796, 718, 538],
-    [394, 484, 664, 808, 718, 538],
-    [718, 796, 808],
-    [592, 598, 664, 808, 796, 652],
-    [485, 599, 665],
-    [383, 473, 653, 797, 719, 539],
-    [395, 485, 665, 809, 719, 539],
-    [593, 599, 665, 809, 797, 653],
-    [719, 797, 809],
-    [486, 606, 666],
-    [396, 486, 666, 822, 720, 540],
-    [384, 474, 654, 810, 720, 540],
-    [600, 606, 666, 822, 810, 654],
-    [720, 810, 822],
-    [487, 607, 667],
-    [397, 487, 667, 823, 721, 541],
-    [385, 475, 655, 811, 721, 541],
-    [721, 811, 823],
-    [601, 607, 667, 823, 811, 655],
-    [402, 480, 660, 816, 726, 546],
-    [403, 481, 661, 817, 726, 546],
-    [594, 595, 661, 817, 816, 660],
-    [726, 816, 817],
-    [404, 482, 662, 818, 727, 547],
-    [596, 597, 663, 819, 818, 662],
-    [727, 818, 819],
-    [405, 483, 663, 819, 727, 547],
-    [488, 608, 668],
-    [398, 488, 668, 824, 722, 542],
-    [602, 608, 668, 824, 812, 656],
-    [722, 812, 824],
-    [386, 476, 656, 812, 722, 542],
-    [489, 609, 669],
-    [400, 489, 669, 825, 724, 544],
-    [603, 609, 669, 825, 813, 657],
-    [724, 813, 825],
-    [387, 477, 657, 813, 724, 544],
-    [490, 610, 670],
-    [399, 490, 670, 826, 723, 543],
-    [388, 478, 658, 814, 723, 543],
-    [723, 814, 826],
-    [604, 610, 670, 826, 814, 658],
-    [491, 611, 671],
-    [401, 491, 671, 827, 725, 545],
-    [389, 479, 659, 815, 725, 545],
-    [605, 611, 671, 827, 815, 659],
-    [725, 815, 827],
-    [407, 485, 665, 821, 728, 548],
-    [406, 484, 664, 820, 728, 548],
-    [598, 599, 665, 821, 820, 664],
-    [728, 820, 821],
-    [492, 612, 672],
-    [408, 486, 666, 828, 732, 552],
-    [414, 492, 672, 834, 732, 552],
-    [606, 612, 672, 834, 828, 666],
-    [732, 828, 834],
-    [409, 487, 667, 829, 733, 553],
-    [415, 492, 672, 835, 733, 553],
-    [733, 829, 835],
-    [607, 612, 672, 835, 829, 667],
-    [493, 613, 673],
-    [420, 493, 673, 836, 734, 554],
-    [608, 613, 673, 836, 830, 668],
-    [734, 830, 836],
-    [410, 488, 668, 830, 734, 554],
-    [411, 489, 669, 831, 735, 555],
-    [421, 493, 673, 837, 735, 555],
-    [609, 613, 673, 837, 831, 669],
-    [735, 831, 837],
-    [494, 614, 674],
-    [412, 490, 670, 832, 736, 556],
-    [422, 494, 674, 838, 736, 556],
-    [736, 832, 838],
-    [610, 614, 674, 838, 832, 670],
-    [413, 491, 671, 833, 737, 557],
-    [611, 614, 674, 839, 833, 671],
-    [423, 494, 674, 839, 737, 557],
-    [737, 833, 839],
-    [495, 615, 675],
-    [496, 616, 676],
-    [417, 496, 676, 841, 729, 549],
-    [416, 495, 675, 840, 729, 549],
-    [729, 840, 841],
-    [615, 616, 676, 841, 840, 675],
-    [497, 617, 677],
-    [498, 618, 678],
-    [419, 498, 678, 843, 730, 550],
-    [418, 497, 677, 842, 730, 550],
-    [730, 842, 843],
-    [617, 618, 678, 843, 842, 677],
-    [500, 620, 680],
-    [499, 619, 679],
-    [424, 499, 679, 844, 731, 551],
-    [425, 500, 680, 845, 731, 551],
-    [731, 844, 845],
-    [619, 620, 680, 845, 844, 679],
-    [501, 621, 681],
-    [432, 501, 681, 852, 738, 558],
-    [426, 495, 675, 846, 738, 558],
-    [615, 621, 681, 852, 846, 675],
-    [738, 846, 852],
-    [502, 623, 682],
-    [433, 502, 682, 853, 739, 559],
-    [427, 497, 677, 848, 739, 559],
-    [617, 623, 682, 853, 848, 677],
-    [739, 848, 853],
-    [503, 622, 683],
-    [428, 496, 676, 847, 740, 560],
-    [434, 503, 683, 854, 740, 560],
-    [740, 847, 854],
-    [616, 622, 683, 854, 847, 676],
-    [504, 624, 684],
-    [429, 498, 678, 849, 741, 561],
-    [435, 504, 684, 855, 741, 561],
-    [741, 849, 855],
-    [618, 624, 684, 855, 849, 678],
-    [505, 625, 685],
-    [430, 499, 679, 850, 742, 562],
-    [436, 505, 685, 856, 742, 562],
-    [742, 850, 856],
-    [619, 625, 685, 856, 850, 679],
-    [506, 626, 686],
-    [437, 506, 686, 857, 743, 563],
-    [431, 500, 680, 851, 743, 563],
-    [620, 626, 686, 857, 851, 680],
-    [743, 851, 857],
-    [507, 627, 687],
-    [438, 501, 681, 858, 744, 564],
-    [444, 507, 687, 864, 744, 564],
-    [621, 627, 687, 864, 858, 681],
-    [744, 858, 864],
-    [508, 628, 688],
-    [445, 508, 688, 866, 745, 565],
-    [439, 502, 682, 859, 745, 565],
-    [623, 628, 688, 866, 859, 682],
-    [745, 859, 866],
-    [446, 507, 687, 865, 746, 566],
-    [440, 503, 683, 860, 746, 566],
-    [622, 627, 687, 865, 860, 683],
-    [746, 860, 865],
-    [447, 508, 688, 867, 748, 568],
-    [624, 628, 688, 867, 861, 684],
-    [441, 504, 684, 861, 748, 568],
-    [748, 861, 867],
-    [509, 629, 689],
-    [442, 505, 685, 862, 747, 567],
-    [448, 509, 689, 868, 747, 567],
-    [747, 862, 868],
-    [625, 629, 689, 868, 862, 685],
-    [443, 506, 686, 863, 749, 569],
-    [449, 509, 689, 869, 749, 569],
-    [626, 629, 689, 869, 863, 686],
-    [749, 863, 869],
-    [512, 513, 693, 871, 692],
-    [510, 511, 691, 870, 690],
-    [514, 515, 695, 872, 694],
-    [631, 752, 902, 903, 753],
-    [695, 755, 905, 1085, 1022, 872],
-    [693, 754, 904, 1083, 1021, 871],
-    [632, 754, 904, 905, 755],
-    [692, 751, 901, 1081, 1021, 871],
-    [691, 752, 902, 1082, 1020, 870],
-    [694, 753, 903, 1084, 1022, 872],
-    [630, 750, 900, 901, 751],
-    [902, 903, 1084, 1324, 1322, 1082],
-    [1021, 1081, 1321, 1323, 1083],
-    [690, 750, 900, 1080, 1020, 870],
-    [904, 905, 1085, 1325, 1323, 1083],
-    [1020, 1080, 1320, 1322, 1082],
-    [900, 901, 1081, 1321, 1320, 1080],
-    [1022, 1084, 1324, 1325, 1085],
-    [1320, 1321, 1323, 1325, 1324, 1322],
-    [518, 523, 703, 875, 698],
-    [516, 522, 702, 873, 696],
-    [633, 756, 906, 912, 762],
-    [698, 764, 914, 1093, 1027, 875],
-    [703, 781, 931, 1099, 1027, 875],
-    [690, 756, 906, 1086, 1023, 870],
-    [696, 762, 912, 1092, 1026, 873],
-    [635, 758, 908, 914, 764],
-    [645, 780, 930, 931, 781],
-    [906, 912, 1092, 1332, 1326, 1086],
-    [1027, 1093, 1333, 1339, 1099],
-    [908, 914, 1093, 1333, 1327, 1087],
-    [930, 931, 1099, 1339, 1338, 1098],
-    [691, 758, 908, 1087, 1023, 870],
-    [702, 780, 930, 1098, 1026, 873],
-    [1023, 1086, 1326, 1327, 1087],
-    [1026, 1092, 1332, 1338, 1098],
-    [1326, 1327, 1333, 1339, 1338, 1332],
-    [517, 524, 704, 874, 697],
-    [519, 525, 705, 876, 699],
-    [634, 757, 907, 913, 763],
-    [646, 782, 932, 933, 783],
-    [692, 757, 907, 1088, 1024, 871],
-    [693, 759, 909, 1089, 1024, 871],
-    [705, 783, 933, 1101, 1029, 876],
-    [636, 759, 909, 915, 765],
-    [704, 782, 932, 1100, 1028, 874],
-    [932, 933, 1101, 1341, 1340, 1100],
-    [1024, 1088, 1328, 1329, 1089],
-    [1029, 1095, 1335, 1341, 1101],
-    [699, 765, 915, 1095, 1029, 876],
-    [907, 913, 1094, 1334, 1328, 1088],
-    [1028, 1094, 1334, 1340, 1100],
-    [697, 763, 913, 1094, 1028, 874],
-    [1328, 1329, 1335, 1341, 1340, 1334],
-    [909, 915, 1095, 1335, 1329, 1089],
-    [520, 526, 706, 877, 700],
-    [521, 527, 707, 878, 701],
-    [638, 761, 911, 917, 767],
-    [700, 766, 916, 1096, 1030, 877],
-    [701, 767, 917, 1097, 1031, 878],
-    [637, 760, 910, 916, 766],
-    [706, 784, 934, 1102, 1030, 877],
-    [695, 761, 911, 1091, 1025, 872],
-    [707, 785, 935, 1103, 1031, 878],
-    [911, 917, 1097, 1337, 1331, 1091],
-    [1030, 1096, 1336, 1342, 1102],
-    [647, 784, 934, 935, 785],
-    [910, 916, 1096, 1336, 1330, 1090],
-    [1031, 1097, 1337, 1343, 1103],
-    [934, 935, 1103, 1343, 1342, 1102],
-    [1025, 1090, 1330, 1331, 1091],
-    [694, 760, 910, 1090, 1025, 872],
-    [1330, 1331, 1337, 1343, 1342, 1336],
-    [528, 531, 711, 879, 708],
-    [534, 540, 720, 882, 714],
-    [648, 786, 936, 942, 792],
-    [711, 798, 948, 1122, 1038, 879],
-    [654, 798, 948, 954, 810],
-    [708, 774, 924, 1110, 1038, 879],
-    [702, 786, 936, 1116, 1032, 873],
-    [714, 792, 942, 1128, 1044, 882],
-    [639, 768, 918, 924, 774],
-    [936, 942, 1128, 1368, 1356, 1116],
-    [1038, 1110, 1350, 1362, 1122],
-    [696, 768, 918, 1104, 1032, 873],
-    [948, 954, 1134, 1374, 1362, 1122],
-    [720, 810, 954, 1134, 1044, 882],
-    [1032, 1104, 1344, 1356, 1116],
-    [918, 924, 1110, 1350, 1344, 1104],
-    [1044, 1128, 1368, 1374, 1134],
-    [1344, 1350, 1362, 1374, 1368, 1356],
-    [535, 541, 721, 883, 715],
-    [640, 769, 919, 925, 775],
-    [650, 788, 938, 944, 794],
-    [708, 775, 925, 1111, 1039, 879],
-    [711, 799, 949, 1123, 1039, 879],
-    [715, 794, 944, 1129, 1045, 883],
-    [655, 799, 949, 955, 811],
-    [704, 788, 938, 1117, 1033, 874],
-    [938, 944, 1129, 1369, 1357, 1117],
-    [1039, 1111, 1351, 1363, 1123],
-    [1045, 1129, 1369, 1375, 1135],
-    [721, 811, 955, 1135, 1045, 883],
-    [919, 925, 1111, 1351, 1345, 1105],
-    [1033, 1105, 1345, 1357, 1117],
-    [697, 769, 919, 1105, 1033, 874],
-    [1345, 1351, 1363, 1375, 1369, 1357],
-    [949, 955, 1135, 1375, 1363, 1123],
-    [529, 532, 712, 880, 709],
-    [536, 542, 722, 884, 716],
-    [641, 770, 920, 926, 776],
-    [649, 787, 937, 943, 793],
-    [698, 770, 920, 1106, 1034, 875],
-    [703, 787, 937, 1118, 1034, 875],
-    [656, 800, 950, 956, 812],
-    [712, 800, 950, 1124, 1040, 880],
-    [722, 812, 956, 1136, 1046, 884],
-    [950, 956, 1136, 1376, 1364, 1124],
-    [1040, 1112, 1352, 1364, 1124],
-    [1046, 1130, 1370, 1376, 1136],
-    [1346, 1352, 1364, 1376, 1370, 1358],
-    [1034, 1106, 1346, 1358, 1118],
-    [709, 776, 926, 1112, 1040, 880],
-    [716, 793, 943, 1130, 1046, 884],
-    [920, 926, 1112, 1352, 1346, 1106],
-    [937, 943, 1130, 1370, 1358, 1118],
-    [530, 533, 713, 881, 710],
-    [537, 543, 723, 885, 717],
-    [643, 772, 922, 928, 778],
-    [710, 778, 928, 1114, 1042, 881],
-    [651, 789, 939, 945, 795],
-    [713, 802, 952, 1126, 1042, 881],
-    [717, 795, 945, 1131, 1047, 885],
-    [658, 802, 952, 958, 814],
-    [939, 945, 1131, 1371, 1359, 1119],
-    [699, 772, 922, 1107, 1035, 876],
-    [1047, 1131, 1371, 1378, 1138],
-    [705, 789, 939, 1119, 1035, 876],
-    [723, 814, 958, 1138, 1047, 885],
-    [922, 928, 1114, 1354, 1347, 1107],
-    [1042, 1114, 1354, 1366, 1126],
-    [1347, 1354, 1366, 1378, 1371, 1359],
-    [1035, 1107, 1347, 1359, 1119],
-    [952, 958, 1138, 1378, 1366, 1126],
-    [538, 544, 724, 886, 718],
-    [652, 790, 940, 946, 796],
-    [706, 790, 940, 1120, 1036, 877],
-    [657, 801, 951, 957, 813],
-    [700, 771, 921, 1108, 1036, 877],
-    [712, 801, 951, 1125, 1041, 880],
-    [642, 771, 921, 927, 777],
-    [951, 957, 1137, 1377, 1365, 1125],
-    [718, 796, 946, 1132, 1048, 886],
-    [1041, 1113, 1353, 1365, 1125],
-    [709, 777, 927, 1113, 1041, 880],
-    [724, 813, 957, 1137, 1048, 886],
-    [940, 946, 1132, 1372, 1360, 1120],
-    [1036, 1108, 1348, 1360, 1120],
-    [1348, 1353, 1365, 1377, 1372, 1360],
-    [1048, 1132, 1372, 1377, 1137],
-    [921, 927, 1113, 1353, 1348, 1108],
-    [539, 545, 725, 887, 719],
-    [653, 791, 941, 947, 797],
-    [713, 803, 953, 1127, 1043, 881],
-    [707, 791, 941, 1121, 1037, 878],
-    [659, 803, 953, 959, 815],
-    [710, 779, 929, 1115, 1043, 881],
-    [719, 797, 947, 1133, 1049, 887],
-    [701, 773, 923, 1109, 1037, 878],
-    [941, 947, 1133, 1373, 1361, 1121],
-    [644, 773, 923, 929, 779],
-    [1043, 1115, 1355, 1367, 1127],
-    [953, 959, 1139, 1379, 1367, 1127],
-    [1037, 1109, 1349, 1361, 1121],
-    [923, 929, 1115, 1355, 1349, 1109],
-    [1049, 1133, 1373, 1379, 1139],
-    [725, 815, 959, 1139, 1049, 887],
-    [1349, 1355, 1367, 1379, 1373, 1361],
-    [546, 549, 729, 888, 726],
-    [552, 558, 738, 891, 732],
-    [666, 822, 972, 978, 828],
-    [726, 816, 966, 1152, 1056, 888],
-    [732, 828, 978, 1158, 1062, 891],
-    [660, 804, 960, 966, 816],
-    [729, 840, 990, 1164, 1056, 888],
-    [720, 822, 972, 1146, 1050, 882],
-    [738, 846, 996, 1170, 1062, 891],
-    [972, 978, 1158, 1398, 1386, 1146],
-    [1056, 1152, 1392, 1404, 1164],
-    [675, 840, 990, 996, 846],
-    [960, 966, 1152, 1392, 1380, 1140],
-    [1062, 1158, 1398, 1410, 1170],
-    [990, 996, 1170, 1410, 1404, 1164],
-    [1050, 1140, 1380, 1386, 1146],
-    [714, 804, 960, 1140, 1050, 882],
-    [1380, 1386, 1398, 1410, 1404, 1392],
-    [547, 550, 730, 889, 727],
-    [553, 559, 739, 892, 733],
-    [667, 823, 973, 979, 829],
-    [733, 829, 979, 1159, 1063, 892],
-    [662, 806, 962, 968, 818],
-    [739, 848, 998, 1171, 1063, 892],
-    [727, 818, 968, 1154, 1058, 889],
-    [677, 842, 992, 998, 848],
-    [962, 968, 1154, 1394, 1382, 1142],
-    [721, 823, 973, 1147, 1051, 883],
-    [1058, 1154, 1394, 1406, 1166],
-    [715, 806, 962, 1142, 1051, 883],
-    [730, 842, 992, 1166, 1058, 889],
-    [973, 979, 1159, 1399, 1387, 1147],
-    [1063, 1159, 1399, 1411, 1171],
-    [1382, 1387, 1399, 1411, 1406, 1394],
-    [1051, 1142, 1382, 1387, 1147],
-    [992, 998, 1171, 1411, 1406, 1166],
-    [554, 560, 740, 893, 734],
-    [676, 841, 991, 997, 847],
-    [729, 841, 991, 1165, 1057, 888],
-    [668, 824, 974, 980, 830],
-    [726, 817, 967, 1153, 1057, 888],
-    [722, 824, 974, 1148, 1052, 884],
-    [661, 805, 961, 967, 817],
-    [974, 980, 1160, 1400, 1388, 1148],
-    [740, 847, 997, 1172, 1064, 893],
-    [1052, 1141, 1381, 1388, 1148],
-    [716, 805, 961, 1141, 1052, 884],
-    [734, 830, 980, 1160, 1064, 893],
-    [991, 997, 1172, 1412, 1405, 1165],
-    [1057, 1153, 1393, 1405, 1165],
-    [1381, 1388, 1400, 1412, 1405, 1393],
-    [1064, 1160, 1400, 1412, 1172],
-    [961, 967, 1153, 1393, 1381, 1141],
-    [556, 561, 741, 894, 736],
-    [670, 826, 976, 982, 832],
-    [678, 843, 993, 999, 849],
-    [736, 832, 982, 1161, 1065, 894],
-    [741, 849, 999, 1173, 1065, 894],
-    [663, 807, 963, 969, 819],
-    [717, 807, 963, 1143, 1053, 885],
-    [727, 819, 969, 1155, 1059, 889],
-    [963, 969, 1155, 1395, 1383, 1143],
-    [1053, 1143, 1383, 1389, 1149],
-    [1059, 1155, 1395, 1407, 1167],
-    [1383, 1389, 1401, 1413, 1407, 1395],
-    [1065, 1161, 1401, 1413, 1173],
-    [723, 826, 976, 1149, 1053, 885],
-    [730, 843, 993, 1167, 1059, 889],
-    [976, 982, 1161, 1401, 1389, 1149],
-    [993, 999, 1173, 1413, 1407, 1167],
-    [548, 551, 731, 890, 728],
-    [555, 562, 742, 895, 735],
-    [669, 825, 975, 981, 831],
-    [679, 844, 994, 1000, 850],
-    [731, 844, 994, 1168, 1060, 890],
-    [728, 820, 970, 1156, 1060, 890],
-    [724, 825, 975, 1150, 1054, 886],
-    [664, 808, 964, 970, 820],
-    [735, 831, 981, 1162, 1066, 895],
-    [975, 981, 1162, 1402, 1390, 1150],
-    [1054, 1144, 1384, 1390, 1150],
-    [1060, 1156, 1396, 1408, 1168],
-    [718, 808, 964, 1144, 1054, 886],
-    [994, 1000, 1174, 1414, 1408, 1168],
-    [1066, 1162, 1402, 1414, 1174],
-    [742, 850, 1000, 1174, 1066, 895],
-    [1384, 1390, 1402, 1414, 1408, 1396],
-    [964, 970, 1156, 1396, 1384, 1144],
-    [557, 563, 743, 896, 737],
-    [671, 827, 977, 983, 833],
-    [728, 821, 971, 1157, 1061, 890],
-    [665, 809, 965, 971, 821],
-    [737, 833, 983, 1163, 1067, 896],
-    [731, 845, 995, 1169, 1061, 890],
-    [725, 827, 977, 1151, 1055, 887],
-    [680, 845, 995, 1001, 851],
-    [977, 983, 1163, 1403, 1391, 1151],
-    [1061, 1157, 1397, 1409, 1169],
-    [743, 851, 1001, 1175, 1067, 896],
-    [965, 971, 1157, 1397, 1385, 1145],
-    [719, 809, 965, 1145, 1055, 887],
-    [1067, 1163, 1403, 1415, 1175],
-    [995, 1001, 1175, 1415, 1409, 1169],
-    [1055, 1145, 1385, 1391, 1151],
-    [1385, 1391, 1403, 1415, 1409, 1397],
-    [564, 565, 745, 897, 744],
-    [681, 852, 1002, 1008, 858],
-    [739, 853, 1003, 1183, 1069, 892],
-    [738, 852, 1002, 1182, 1068, 891],
-    [682, 853, 1003, 1009, 859],
-    [733, 835, 985, 1177, 1069, 892],
-    [744, 858, 1008, 1188, 1074, 897],
-    [732, 834, 984, 1176, 1068, 891],
-    [1002, 1008, 1188, 1428, 1422, 1182],
-    [672, 834, 984, 985, 835],
-    [1069, 1177, 1417, 1423, 1183],
-    [1003, 1009, 1189, 1429, 1423, 1183],
-    [1068, 1176, 1416, 1422, 1182],
-    [984, 985, 1177, 1417, 1416, 1176],
-    [1074, 1188, 1428, 1429, 1189],
-    [745, 859, 1009, 1189, 1074, 897],
-    [1416, 1417, 1423, 1429, 1428, 1422],
-    [566, 567, 747, 898, 746],
-    [673, 836, 986, 987, 837],
-    [685, 856, 1006, 1012, 862],
-    [747, 862, 1012, 1191, 1075, 898],
-    [746, 860, 1010, 1190, 1075, 898],
-    [734, 836, 986, 1178, 1070, 893],
-    [683, 854, 1004, 1010, 860],
-    [735, 837, 987, 1179, 1071, 895],
-    [986, 987, 1179, 1419, 1418, 1178],
-    [1070, 1178, 1418, 1424, 1184],
-    [1075, 1190, 1430, 1431, 1191],
-    [740, 854, 1004, 1184, 1070, 893],
-    [1006, 1012, 1191, 1431, 1425, 1185],
-    [1071, 1179, 1419, 1425, 1185],
-    [742, 856, 1006, 1185, 1071, 895],
-    [1418, 1419, 1425, 1431, 1430, 1424],
-    [1004, 1010, 1190, 1430, 1424, 1184],
-    [568, 569, 749, 899, 748],
-    [686, 857, 1007, 1013, 863],
-    [736, 838, 988, 1180, 1072, 894],
-    [741, 855, 1005, 1186, 1072, 894],
-    [743, 857, 1007, 1187, 1073, 896],
-    [749, 863, 1013, 1193, 1076, 899],
-    [674, 838, 988, 989, 839],
-    [684, 855, 1005, 1011, 861],
-    [1072, 1180, 1420, 1426, 1186],
-    [1007, 1013, 1193, 1433, 1427, 1187],
-    [988, 989, 1181, 1421, 1420, 1180],
-    [1005, 1011, 1192, 1432, 1426, 1186],
-    [737, 839, 989, 1181, 1073, 896],
-    [748, 861, 1011, 1192, 1076, 899],
-    [1073, 1181, 1421, 1427, 1187],
-    [1076, 1192, 1432, 1433, 1193],
-    [1420, 1421, 1427, 1433, 1432, 1426],
-    [688, 866, 1016, 1017, 867],
-    [744, 864, 1014, 1194, 1077, 897],
-    [746, 865, 1015, 1196, 1078, 898],
-    [687, 864, 1014, 1015, 865],
-    [748, 867, 1017, 1197, 1079, 899],
-    [747, 868, 1018, 1198, 1078, 898],
-    [745, 866, 1016, 1195, 1077, 897],
-    [689, 868, 1018, 1019, 869],
-    [1016, 1017, 1197, 1437, 1435, 1195],
-    [1078, 1196, 1436, 1438, 1198],
-    [749, 869, 1019, 1199, 1079, 899],
-    [1014, 1015, 1196, 1436, 1434, 1194],
-    [1079, 1197, 1437, 1439, 1199],
-    [1018, 1019, 1199, 1439, 1438, 1198],
-    [1077, 1194, 1434, 1435, 1195],
-    [1434, 1435, 1437, 1439, 1438, 1436],
-    [870, 1020, 1023],
-    [750, 756, 906, 1206, 1200, 900],
-    [900, 1080, 1200],
-    [906, 1086, 1206],
-    [1020, 1023, 1086, 1206, 1200, 1080],
-    [871, 1021, 1024],
-    [751, 757, 907, 1207, 1201, 901],
-    [901, 1081, 1201],
-    [907, 1088, 1207],
-    [1021, 1024, 1088, 1207, 1201, 1081],
-    [752, 758, 908, 1208, 1202, 902],
-    [908, 1087, 1208],
-    [902, 1082, 1202],
-    [1020, 1023, 1087, 1208, 1202, 1082],
-    [909, 1089, 1209],
-    [904, 1083, 1203],
-    [754, 759, 909, 1209, 1203, 904],
-    [1021, 1024, 1089, 1209, 1203, 1083],
-    [872, 1022, 1025],
-    [753, 760, 910, 1210, 1204, 903],
-    [903, 1084, 1204],
-    [910, 1090, 1210],
-    [1022, 1025, 1090, 1210, 1204, 1084],
-    [755, 761, 911, 1211, 1205, 905],
-    [911, 1091, 1211],
-    [905, 1085, 1205],
-    [1022, 1025, 1091, 1211, 1205, 1085],
-    [873, 1026, 1032],
-    [762, 768, 918, 1218, 1212, 912],
-    [918, 1104, 1218],
-    [912, 1092, 1212],
-    [1026, 1032, 1104, 1218, 1212, 1092],
-    [874, 1028, 1033],
-    [763, 769, 919, 1219, 1213, 913],
-    [1028, 1033, 1105, 1219, 1213, 1094],
-    [913, 1094, 1213],
-    [919, 1105, 1219],
-    [875, 1027, 1034],
-    [764, 770, 920, 1220, 1214, 914],
-    [914, 1093, 1214],
-    [920, 1106, 1220],
-    [1027, 1034, 1106, 1220, 1214, 1093],
-    [876, 1029, 1035],
-    [765, 772, 922, 1221, 1215, 915],
-    [922, 1107, 1221],
-    [915, 1095, 1215],
-    [1029, 1035, 1107, 1221, 1215, 1095],
-    [877, 1030, 1036],
-    [921, 1108, 1222],
-    [766, 771, 921, 1222, 1216, 916],
-    [916, 1096, 1216],
-    [1030, 1036, 1108, 1222, 1216, 1096],
-    [878, 1031, 1037],
-    [767, 773, 923, 1223, 1217, 917],
-    [923, 1109, 1223],
-    [917, 1097, 1217],
-    [1031, 1037, 1109, 1223, 1217, 1097],
-    [879, 1038, 1039],
-    [774, 775, 925, 1225, 1224, 924],
-    [924, 1110, 1224],
-    [925, 1111, 1225],
-    [1038, 1039, 1111, 1225, 1224, 1110],
-    [780, 786, 936, 1236, 1230, 930],
-    [930, 1098, 1230],
-    [936, 1116, 1236],
-    [1026, 1032, 1116, 1236, 1230, 1098],
-    [781, 787, 937, 1237, 1231, 931],
-    [931, 1099, 1231],
-    [937, 1118, 1237],
-    [1027, 1034, 1118, 1237, 1231, 1099],
-    [782, 788, 938, 1238, 1232, 932],
-    [932, 1100, 1232],
-    [938, 1117, 1238],
-    [1028, 1033, 1117, 1238, 1232, 1100],
-    [783, 789, 939, 1239, 1233, 933],
-    [933, 1101, 1233],
-    [939, 1119, 1239],
-    [1029, 1035, 1119, 1239, 1233, 1101],
-    [880, 1040, 1041],
-    [776, 777, 927, 1227, 1226, 926],
-    [926, 1112, 1226],
-    [1040, 1041, 1113, 1227, 1226, 1112],
-    [927, 1113, 1227],
-    [881, 1042, 1043],
-    [778, 779, 929, 1229, 1228, 928],
-    [929, 1115, 1229],
-    [928, 1114, 1228],
-    [1042, 1043, 1115, 1229, 1228, 1114],
-    [784, 790, 940, 1240, 1234, 934],
-    [934, 1102, 1234],
-    [940, 1120, 1240],
-    [1030, 1036, 1120, 1240, 1234, 1102],
-    [785, 791, 941, 1241, 1235, 935],
-    [935, 1103, 1235],
-    [941, 1121, 1241],
-    [1031, 1037, 1121, 1241, 1235, 1103],
-    [949, 1123, 1244],
-    [948, 1122, 1242],
-    [798, 799, 949, 1244, 1242, 948],
-    [1038, 1039, 1123, 1244, 1242, 1122],
-    [800, 801, 951, 1249, 1247, 950],
-    [951, 1125, 1249],
-    [950, 1124, 1247],
-    [1040, 1041, 1125, 1249, 1247, 1124],
-    [952, 1126, 1250],
-    [802, 803, 953, 1252, 1250, 952],
-    [953, 1127, 1252],
-    [1042, 1043, 1127, 1252, 1250, 1126],
-    [882, 1044, 1050],
-    [792, 804, 960, 1254, 1243, 942],
-    [942, 1128, 1243],
-    [960, 1140, 1254],
-    [1044, 1050, 1140, 1254, 1243, 1128],
-    [883, 1045, 1051],
-    [794, 806, 962, 1256, 1246, 944],
-    [944, 1129, 1246],
-    [962, 1142, 1256],
-    [1045, 1051, 1142, 1256, 1246, 1129],
-    [884, 1046, 1052],
-    [793, 805, 961, 1255, 1245, 943],
-    [943, 1130, 1245],
-    [1046, 1052, 1141, 1255, 1245, 1130],
-    [961, 1141, 1255],
-    [885, 1047, 1053],
-    [795, 807, 963, 1257, 1248, 945],
-    [945, 1131, 1248],
-    [963, 1143, 1257],
-    [1047, 1053, 1143, 1257, 1248, 1131],
-    [886, 1048, 1054],
-    [796, 808, 964, 1258, 1251, 946],
-    [946, 1132, 1251],
-    [964, 1144, 1258],
-    [1048, 1054, 1144, 1258, 1251, 1132],
-    [887, 1049, 1055],
-    [797, 809, 965, 1259, 1253, 947],
-    [947, 1133, 1253],
-    [965, 1145, 1259],
-    [1049, 1055, 1145, 1259, 1253, 1133],
-    [810, 822, 972, 1266, 1260, 954],
-    [972, 1146, 1266],
-    [954, 1134, 1260],
-    [1044, 1050, 1146, 1266, 1260, 1134],
-    [811, 823, 973, 1268, 1261, 955],
-    [973, 1147, 1268],
-    [955, 1135, 1261],
-    [1045, 1051, 1147, 1268, 1261, 1135],
-    [812, 824, 974, 1271, 1262, 956],
-    [974, 1148, 1271],
-    [956, 1136, 1262],
-    [1046, 1052, 1148, 1271, 1262, 1136],
-    [814, 826, 976, 1274, 1264, 958],
-    [976, 1149, 1274],
-    [1047, 1053, 1149, 1274, 1264, 1138],
-    [958, 1138, 1264],
-    [813, 825, 975, 1273, 1263, 957],
-    [975, 1150, 1273],
-    [957, 1137, 1263],
-    [1048, 1054, 1150, 1273, 1263, 1137],
-    [815, 827, 977, 1276, 1265, 959],
-    [977, 1151, 1276],
-    [959, 1139, 1265],
-    [1049, 1055, 1151, 1276, 1265, 1139],
-    [888, 1056, 1057],
-    [967, 1153, 1269],
-    [816, 817, 967, 1269, 1267, 966],
-    [966, 1152, 1267],
-    [1056, 1057, 1153, 1269, 1267, 1152],
-    [889, 1058, 1059],
-    [818, 819, 969, 1272, 1270, 968],
-    [968, 1154, 1270],
-    [969, 1155, 1272],
-    [1058, 1059, 1155, 1272, 1270, 1154],
-    [890, 1060, 1061],
-    [970, 1156, 1275],
-    [971, 1157, 1277],
-    [820, 821, 971, 1277, 1275, 970],
-    [1060, 1061, 1157, 1277, 1275, 1156],
-    [891, 1062, 1068],
-    [828, 834, 984, 1284, 1278, 978],
-    [984, 1176, 1284],
-    [978, 1158, 1278],
-    [1062, 1068, 1176, 1284, 1278, 1158],
-    [892, 1063, 1069],
-    [829, 835, 985, 1285, 1279, 979],
-    [985, 1177, 1285],
-    [979, 1159, 1279],
-    [1063, 1069, 1177, 1285, 1279, 1159],
-    [840, 841, 991, 1291, 1290, 990],
-    [990, 1164, 1290],
-    [991, 1165, 1291],
-    [1056, 1057, 1165, 1291, 1290, 1164],
-    [842, 843, 993, 1293, 1292, 992],
-    [993, 1167, 1293],
-    [1058, 1059, 1167, 1293, 1292, 1166],
-    [992, 1166, 1292],
-    [893, 1064, 1070],
-    [830, 836, 986, 1286, 1280, 980],
-    [986, 1178, 1286],
-    [980, 1160, 1280],
-    [1064, 1070, 1178, 1286, 1280, 1160],
-    [895, 1066, 1071],
-    [831, 837, 987, 1287, 1281, 981],
-    [981, 1162, 1281],
-    [987, 1179, 1287],
-    [1066, 1071, 1179, 1287, 1281, 1162],
-    [894, 1065, 1072],
-    [832, 838, 988, 1288, 1282, 982],
-    [982, 1161, 1282],
-    [988, 1180, 1288],
-    [1065, 1072, 1180, 1288, 1282, 1161],
-    [896, 1067, 1073],
-    [833, 839, 989, 1289, 1283, 983],
-    [989, 1181, 1289],
-    [983, 1163, 1283],
-    [1067, 1073, 1181, 1289, 1283, 1163],
-    [844, 845, 995, 1295, 1294, 994],
-    [995, 1169, 1295],
-    [994, 1168, 1294],
-    [1060, 1061, 1169, 1295, 1294, 1168],
-    [846, 852, 1002, 1302, 1296, 996],
-    [996, 1170, 1296],
-    [1002, 1182, 1302],
-    [1062, 1068, 1182, 1302, 1296, 1170],
-    [998, 1171, 1297],
-    [848, 853, 1003, 1303, 1297, 998],
-    [1003, 1183, 1303],
-    [1063, 1069, 1183, 1303, 1297, 1171],
-    [847, 854, 1004, 1304, 1298, 997],
-    [997, 1172, 1298],
-    [1004, 1184, 1304],
-    [1064, 1070, 1184, 1304, 1298, 1172],
-    [849, 855, 1005, 1305, 1299, 999],
-    [999, 1173, 1299],
-    [1005, 1186, 1305],
-    [1065, 1072, 1186, 1305, 1299, 1173],
-    [850, 856, 1006, 1306, 1300, 1000],
-    [1066, 1071, 1185, 1306, 1300, 1174],
-    [1000, 1174, 1300],
-    [1006, 1185, 1306],
-    [851, 857, 1007, 1307, 1301, 1001],
-    [1001, 1175, 1301],
-    [1007, 1187, 1307],
-    [1067, 1073, 1187, 1307, 1301, 1175],
-    [897, 1074, 1077],
-    [858, 864, 1014, 1314, 1308, 1008],
-    [1008, 1188, 1308],
-    [1014, 1194, 1314],
-    [1074, 1077, 1194, 1314, 1308, 1188],
-    [859, 866, 1016, 1315, 1309, 1009],
-    [1016, 1195, 1315],
-    [1009, 1189, 1309],
-    [1074, 1077, 1195, 1315, 1309, 1189],
-    [898, 1075, 1078],
-    [1010, 1190, 1310],
-    [1015, 1196, 1316],
-    [860, 865, 1015, 1316, 1310, 1010],
-    [1075, 1078, 1196, 1316, 1310, 1190],
-    [899, 1076, 1079],
-    [861, 867, 1017, 1317, 1311, 1011],
-    [1011, 1192, 1311],
-    [1017, 1197, 1317],
-    [1076, 1079, 1197, 1317, 1311, 1192],
-    [862, 868, 1018, 1318, 1312, 1012],
-    [1018, 1198, 1318],
-    [1012, 1191, 1312],
-    [1075, 1078, 1198, 1318, 1312, 1191],
-    [863, 869, 1019, 1319, 1313, 1013],
-    [1019, 1199, 1319],
-    [1013, 1193, 1313],
-    [1076, 1079, 1199, 1319, 1313, 1193],
-    [906, 912, 1212, 1452, 1446, 1206],
-    [907, 913, 1213, 1453, 1447, 1207],
-    [919, 925, 1225, 1465, 1459, 1219],
-    [1213, 1219, 1459, 1636, 1453],
-    [1200, 1206, 1446, 1623, 1440],
-    [1212, 1218, 1458, 1635, 1452],
-    [900, 901, 1201, 1441, 1440, 1200],
-    [918, 924, 1224, 1464, 1458, 1218],
-    [1743, 1744, 1750, 1761, 1749],
-    [1446, 1452, 1635, 1749, 1743, 1623],
-    [1447, 1453, 1636, 1750, 1744, 1624],
-    [1459, 1465, 1641, 1761, 1750, 1636],
-    [1201, 1207, 1447, 1624, 1441],
-    [1224, 1225, 1465, 1641, 1464],
-    [1440, 1441, 1624, 1744, 1743, 1623],
-    [1458, 1464, 1641, 1761, 1749, 1635],
-    [902, 903, 1204, 1443, 1442, 1202],
-    [920, 926, 1226, 1466, 1460, 1220],
-    [910, 916, 1216, 1456, 1450, 1210],
-    [1216, 1222, 1461, 1638, 1456],
-    [921, 927, 1227, 1467, 1461, 1222],
-    [1204, 1210, 1450, 1626, 1443],
-    [1202, 1208, 1448, 1625, 1442],
-    [1226, 1227, 1467, 1642, 1466],
-    [1745, 1746, 1756, 1762, 1755],
-    [908, 914, 1214, 1454, 1448, 1208],
-    [1442, 1443, 1626, 1746, 1745, 1625],
-    [1460, 1466, 1642, 1762, 1755, 1637],
-    [1214, 1220, 1460, 1637, 1454],
-    [1461, 1467, 1642, 1762, 1756, 1638],
-    [1450, 1456, 1638, 1756, 1746, 1626],
-    [1448, 1454, 1637, 1755, 1745, 1625],
-    [911, 917, 1217, 1457, 1451, 1211],
-    [922, 928, 1228, 1468, 1462, 1221],
-    [904, 905, 1205, 1445, 1444, 1203],
-    [909, 915, 1215, 1455, 1449, 1209],
-    [1203, 1209, 1449, 1627, 1444],
-    [1205, 1211, 1451, 1628, 1445],
-    [1215, 1221, 1462, 1639, 1455],
-    [1217, 1223, 1463, 1640, 1457],
-    [1747, 1748, 1758, 1763, 1757],
-    [1228, 1229, 1469, 1643, 1468],
-    [1451, 1457, 1640, 1758, 1748, 1628],
-    [1462, 1468, 1643, 1763, 1757, 1639],
-    [923, 929, 1229, 1469, 1463, 1223],
-    [1449, 1455, 1639, 1757, 1747, 1627],
-    [1444, 1445, 1628, 1748, 1747, 1627],
-    [1463, 1469, 1643, 1763, 1758, 1640],
-    [936, 942, 1243, 1482, 1476, 1236],
-    [937, 943, 1245, 1483, 1477, 1237],
-    [960, 966, 1267, 1506, 1495, 1254],
-    [1267, 1269, 1507, 1680, 1506],
-    [961, 967, 1269, 1507, 1497, 1255],
-    [1243, 1254, 1495, 1666, 1482],
-    [1230, 1236, 1476, 1653, 1470],
-    [1245, 1255, 1497, 1668, 1483],
-    [1780, 1782, 1792, 1797, 1791],
-    [930, 931, 1231, 1471, 1470, 1230],
-    [1476, 1482, 1666, 1791, 1780, 1653],
-    [1477, 1483, 1668, 1792, 1782, 1654],
-    [1231, 1237, 1477, 1654, 1471],
-    [1497, 1507, 1680, 1797, 1792, 1668],
-    [1495, 1506, 1680, 1797, 1791, 1666],
-    [1470, 1471, 1654, 1782, 1780, 1653],
-    [1270, 1272, 1509, 1681, 1508],
-    [1248, 1257, 1500, 1671, 1485],
-    [932, 933, 1233, 1473, 1472, 1232],
-    [938, 944, 1246, 1484, 1478, 1238],
-    [1783, 1785, 1794, 1798, 1793],
-    [1232, 1238, 1478, 1655, 1472],
-    [939, 945, 1248, 1485, 1479, 1239],
-    [962, 968, 1270, 1508, 1498, 1256],
-    [1233, 1239, 1479, 1656, 1473],
-    [1246, 1256, 1498, 1669, 1484],
-    [1472, 1473, 1656, 1785, 1783, 1655],
-    [1478, 1484, 1669, 1793, 1783, 1655],
-    [1500, 1509, 1681, 1798, 1794, 1671],
-    [963, 969, 1272, 1509, 1500, 1257],
-    [1479, 1485, 1671, 1794, 1785, 1656],
-    [1498, 1508, 1681, 1798, 1793, 1669],
-    [941, 947, 1253, 1487, 1481, 1241],
-    [940, 946, 1251, 1486, 1480, 1240],
-    [965, 971, 1277, 1511, 1505, 1259],
-    [964, 970, 1275, 1510, 1503, 1258],
-    [1275, 1277, 1511, 1682, 1510],
-    [1253, 1259, 1505, 1676, 1487],
-    [1251, 1258, 1503, 1674, 1486],
-    [1235, 1241, 1481, 1658, 1475],
-    [1788, 1790, 1796, 1799, 1795],
-    [1234, 1240, 1480, 1657, 1474],
-    [1481, 1487, 1676, 1796, 1790, 1658],
-    [1480, 1486, 1674, 1795, 1788, 1657],
-    [934, 935, 1235, 1475, 1474, 1234],
-    [1503, 1510, 1682, 1799, 1795, 1674],
-    [1505, 1511, 1682, 1799, 1796, 1676],
-    [1474, 1475, 1658, 1790, 1788, 1657],
-    [972, 978, 1278, 1518, 1512, 1266],
-    [973, 979, 1279, 1519, 1513, 1268],
-    [948, 954, 1260, 1494, 1488, 1242],
-    [949, 955, 1261, 1496, 1489, 1244],
-    [1242, 1244, 1489, 1677, 1488],
-    [1260, 1266, 1512, 1683, 1494],
-    [1261, 1268, 1513, 1685, 1496],
-    [1278, 1284, 1524, 1701, 1518],
-    [1800, 1803, 1809, 1811, 1804],
-    [1279, 1285, 1525, 1702, 1519],
-    [1512, 1518, 1701, 1809, 1803, 1683],
-    [1513, 1519, 1702, 1811, 1804, 1685],
-    [984, 985, 1285, 1525, 1524, 1284],
-    [1489, 1496, 1685, 1804, 1800, 1677],
-    [1488, 1494, 1683, 1803, 1800, 1677],
-    [1524, 1525, 1702, 1811, 1809, 1701],
-    [1247, 1249, 1491, 1678, 1490],
-    [1262, 1271, 1514, 1688, 1499],
-    [975, 981, 1281, 1521, 1515, 1273],
-    [986, 987, 1287, 1527, 1526, 1286],
-    [1801, 1805, 1814, 1816, 1806],
-    [1281, 1287, 1527, 1704, 1521],
-    [951, 957, 1263, 1501, 1491, 1249],
-    [974, 980, 1280, 1520, 1514, 1271],
-    [1263, 1273, 1515, 1690, 1501],
-    [1280, 1286, 1526, 1703, 1520],
-    [1515, 1521, 1704, 1816, 1806, 1690],
-    [1526, 1527, 1704, 1816, 1814, 1703],
-    [1490, 1499, 1688, 1805, 1801, 1678],
-    [950, 956, 1262, 1499, 1490, 1247],
-    [1491, 1501, 1690, 1806, 1801, 1678],
-    [1514, 1520, 1703, 1814, 1805, 1688],
-    [977, 983, 1283, 1523, 1517, 1276],
-    [976, 982, 1282, 1522, 1516, 1274],
-    [953, 959, 1265, 1504, 1493, 1252],
-    [1250, 1252, 1493, 1679, 1492],
-    [952, 958, 1264, 1502, 1492, 1250],
-    [1265, 1276, 1517, 1693, 1504],
-    [1264, 1274, 1516, 1691, 1502],
-    [1283, 1289, 1529, 1706, 1523],
-    [1802, 1807, 1817, 1819, 1808],
-    [988, 989, 1289, 1529, 1528, 1288],
-    [1517, 1523, 1706, 1819, 1808, 1693],
-    [1516, 1522, 1705, 1817, 1807, 1691],
-    [1282, 1288, 1528, 1705, 1522],
-    [1492, 1502, 1691, 1807, 1802, 1679],
-    [1493, 1504, 1693, 1808, 1802, 1679],
-    [1528, 1529, 1706, 1819, 1817, 1705],
-    [1002, 1008, 1308, 1548, 1542, 1302],
-    [991, 997, 1298, 1537, 1531, 1291],
-    [1014, 1015, 1316, 1555, 1554, 1314],
-    [1004, 1010, 1310, 1550, 1544, 1304],
-    [1310, 1316, 1555, 1732, 1550],
-    [1308, 1314, 1554, 1731, 1548],
-    [1298, 1304, 1544, 1720, 1537],
-    [1296, 1302, 1542, 1719, 1536],
-    [1836, 1841, 1851, 1852, 1842],
-    [1290, 1291, 1531, 1716, 1530],
-    [1542, 1548, 1731, 1851, 1841, 1719],
-    [1531, 1537, 1720, 1842, 1836, 1716],
-    [990, 996, 1296, 1536, 1530, 1290],
-    [1544, 1550, 1732, 1852, 1842, 1720],
-    [1554, 1555, 1732, 1852, 1851, 1731],
-    [1530, 1536, 1719, 1841, 1836, 1716],
-    [1016, 1017, 1317, 1557, 1556, 1315],
-    [993, 999, 1299, 1539, 1533, 1293],
-    [1003, 1009, 1309, 1549, 1543, 1303],
-    [1297, 1303, 1543, 1721, 1538],
-    [992, 998, 1297, 1538, 1532, 1292],
-    [1309, 1315, 1556, 1733, 1549],
-    [1292, 1293, 1533, 1717, 1532],
-    [1311, 1317, 1557, 1734, 1551],
-    [1837, 1843, 1853, 1854, 1844],
-    [1005, 1011, 1311, 1551, 1545, 1305],
-    [1556, 1557, 1734, 1854, 1853, 1733],
-    [1533, 1539, 1722, 1844, 1837, 1717],
-    [1299, 1305, 1545, 1722, 1539],
-    [1532, 1538, 1721, 1843, 1837, 1717],
-    [1543, 1549, 1733, 1853, 1843, 1721],
-    [1545, 1551, 1734, 1854, 1844, 1722],
-    [1007, 1013, 1313, 1553, 1547, 1307],
-    [994, 1000, 1300, 1540, 1534, 1294],
-    [1006, 1012, 1312, 1552, 1546, 1306],
-    [1300, 1306, 1546, 1723, 1540],
-    [1301, 1307, 1547, 1724, 1541],
-    [1313, 1319, 1559, 1736, 1553],
-    [995, 1001, 1301, 1541, 1535, 1295],
-    [1018, 1019, 1319, 1559, 1558, 1318],
-    [1838, 1849, 1855, 1856, 1850],
-    [1547, 1553, 1736, 1856, 1850, 1724],
-    [1534, 1540, 1723, 1849, 1838, 1718],
-    [1546, 1552, 1735, 1855, 1849, 1723],
-    [1294, 1295, 1535, 1718, 1534],
-    [1312, 1318, 1558, 1735, 1552],
-    [1535, 1541, 1724, 1850, 1838, 1718],
-    [1558, 1559, 1736, 1856, 1855, 1735],
-    [1080, 1200, 1440, 1620, 1560, 1320],
-    [1081, 1201, 1441, 1620, 1560, 1321],
-    [1320, 1321, 1560],
-    [1440, 1441, 1620],
-    [1322, 1324, 1561],
-    [1442, 1443, 1621],
-    [1084, 1204, 1443, 1621, 1561, 1324],
-    [1082, 1202, 1442, 1621, 1561, 1322],
-    [1323, 1325, 1562],
-    [1085, 1205, 1445, 1622, 1562, 1325],
-    [1083, 1203, 1444, 1622, 1562, 1323],
-    [1444, 1445, 1622],
-    [1326, 1332, 1563],
-    [1446, 1452, 1629],
-    [1086, 1206, 1446, 1629, 1563, 1326],
-    [1092, 1212, 1452, 1629, 1563, 1332],
-    [1328, 1334, 1565],
-    [1094, 1213, 1453, 1630, 1565, 1334],
-    [1088, 1207, 1447, 1630, 1565, 1328],
-    [1447, 1453, 1630],
-    [1087, 1208, 1448, 1631, 1564, 1327],
-    [1327, 1333, 1564],
-    [1093, 1214, 1454, 1631, 1564, 1333],
-    [1448, 1454, 1631],
-    [1095, 1215, 1455, 1632, 1566, 1335],
-    [1329, 1335, 1566],
-    [1089, 1209, 1449, 1632, 1566, 1329],
-    [1449, 1455, 1632],
-    [1330, 1336, 1567],
-    [1090, 1210, 1450, 1633, 1567, 1330],
-    [1096, 1216, 1456, 1633, 1567, 1336],
-    [1450, 1456, 1633],
-    [1331, 1337, 1568],
-    [1097, 1217, 1457, 1634, 1568, 1337],
-    [1451, 1457, 1634],
-    [1091, 1211, 1451, 1634, 1568, 1331],
-    [1104, 1218, 1458, 1644, 1572, 1344],
-    [1110, 1224, 1464, 1644, 1572, 1350],
-    [1344, 1350, 1572],
-    [1458, 1464, 1644],
-    [1345, 1351, 1573],
-    [1105, 1219, 1459, 1645, 1573, 1345],
-    [1111, 1225, 1465, 1645, 1573, 1351],
-    [1459, 1465, 1645],
-    [1098, 1230, 1470, 1650, 1569, 1338],
-    [1338, 1339, 1569],
-    [1099, 1231, 1471, 1650, 1569, 1339],
-    [1470, 1471, 1650],
-    [1340, 1341, 1570],
-    [1472, 1473, 1651],
-    [1100, 1232, 1472, 1651, 1570, 1340],
-    [1101, 1233, 1473, 1651, 1570, 1341],
-    [1346, 1352, 1574],
-    [1112, 1226, 1466, 1646, 1574, 1352],
-    [1106, 1220, 1460, 1646, 1574, 1346],
-    [1460, 1466, 1646],
-    [1113, 1227, 1467, 1647, 1575, 1353],
-    [1348, 1353, 1575],
-    [1108, 1222, 1461, 1647, 1575, 1348],
-    [1461, 1467, 1647],
-    [1347, 1354, 1576],
-    [1107, 1221, 1462, 1648, 1576, 1347],
-    [1462, 1468, 1648],
-    [1114, 1228, 1468, 1648, 1576, 1354],
-    [1109, 1223, 1463, 1649, 1577, 1349],
-    [1115, 1229, 1469, 1649, 1577, 1355],
-    [1349, 1355, 1577],
-    [1463, 1469, 1649],
-    [1103, 1235, 1475, 1652, 1571, 1343],
-    [1102, 1234, 1474, 1652, 1571, 1342],
-    [1342, 1343, 1571],
-    [1474, 1475, 1652],
-    [1356, 1368, 1578],
-    [1476, 1482, 1659],
-    [1128, 1243, 1482, 1659, 1578, 1368],
-    [1116, 1236, 1476, 1659, 1578, 1356],
-    [1357, 1369, 1579],
-    [1478, 1484, 1661],
-    [1117, 1238, 1478, 1661, 1579, 1357],
-    [1129, 1246, 1484, 1661, 1579, 1369],
-    [1358, 1370, 1580],
-    [1130, 1245, 1483, 1660, 1580, 1370],
-    [1118, 1237, 1477, 1660, 1580, 1358],
-    [1477, 1483, 1660],
-    [1359, 1371, 1581],
-    [1119, 1239, 1479, 1662, 1581, 1359],
-    [1131, 1248, 1485, 1662, 1581, 1371],
-    [1479, 1485, 1662],
-    [1360, 1372, 1582],
-    [1132, 1251, 1486, 1663, 1582, 1372],
-    [1480, 1486, 1663],
-    [1120, 1240, 1480, 1663, 1582, 1360],
-    [1361, 1373, 1583],
-    [1481, 1487, 1664],
-    [1133, 1253, 1487, 1664, 1583, 1373],
-    [1121, 1241, 1481, 1664, 1583, 1361],
-    [1362, 1374, 1584],
-    [1134, 1260, 1494, 1665, 1584, 1374],
-    [1122, 1242, 1488, 1665, 1584, 1362],
-    [1488, 1494, 1665],
-    [1135, 1261, 1496, 1667, 1585, 1375],
-    [1363, 1375, 1585],
-    [1123, 1244, 1489, 1667, 1585, 1363],
-    [1489, 1496, 1667],
-    [1364, 1376, 1586],
-    [1490, 1499, 1670],
-    [1124, 1247, 1490, 1670, 1586, 1364],
-    [1136, 1262, 1499, 1670, 1586, 1376],
-    [1365, 1377, 1587],
-    [1137, 1263, 1501, 1672, 1587, 1377],
-    [1125, 1249, 1491, 1672, 1587, 1365],
-    [1491, 1501, 1672],
-    [1138, 1264, 1502, 1673, 1588, 1378],
-    [1366, 1378, 1588],
-    [1126, 1250, 1492, 1673, 1588, 1366],
-    [1492, 1502, 1673],
-    [1367, 1379, 1589],
-    [1139, 1265, 1504, 1675, 1589, 1379],
-    [1127, 1252, 1493, 1675, 1589, 1367],
-    [1493, 1504, 1675],
-    [1380, 1392, 1590],
-    [1140, 1254, 1495, 1684, 1590, 1380],
-    [1152, 1267, 1506, 1684, 1590, 1392],
-    [1495, 1506, 1684],
-    [1141, 1255, 1497, 1686, 1591, 1381],
-    [1381, 1393, 1591],
-    [1153, 1269, 1507, 1686, 1591, 1393],
-    [1497, 1507, 1686],
-    [1382, 1394, 1592],
-    [1142, 1256, 1498, 1687, 1592, 1382],
-    [1154, 1270, 1508, 1687, 1592, 1394],
-    [1498, 1508, 1687],
-    [1383, 1395, 1593],
-    [1500, 1509, 1689],
-    [1143, 1257, 1500, 1689, 1593, 1383],
-    [1155, 1272, 1509, 1689, 1593, 1395],
-    [1144, 1258, 1503, 1692, 1594, 1384],
-    [1384, 1396, 1594],
-    [1156, 1275, 1510, 1692, 1594, 1396],
-    [1503, 1510, 1692],
-    [1385, 1397, 1595],
-    [1145, 1259, 1505, 1694, 1595, 1385],
-    [1157, 1277, 1511, 1694, 1595, 1397],
-    [1505, 1511, 1694],
-    [1386, 1398, 1596],
-    [1512, 1518, 1695],
-    [1146, 1266, 1512, 1695, 1596, 1386],
-    [1158, 1278, 1518, 1695, 1596, 1398],
-    [1387, 1399, 1597],
-    [1147, 1268, 1513, 1696, 1597, 1387],
-    [1513, 1519, 1696],
-    [1159, 1279, 1519, 1696, 1597, 1399],
-    [1388, 1400, 1598],
-    [1160, 1280, 1520, 1697, 1598, 1400],
-    [1148, 1271, 1514, 1697, 1598, 1388],
-    [1514, 1520, 1697],
-    [1389, 1401, 1599],
-    [1149, 1274, 1516, 1699, 1599, 1389],
-    [1161, 1282, 1522, 1699, 1599, 1401],
-    [1516, 1522, 1699],
-    [1390, 1402, 1600],
-    [1515, 1521, 1698],
-    [1162, 1281, 1521, 1698, 1600, 1402],
-    [1150, 1273, 1515, 1698, 1600, 1390],
-    [1391, 1403, 1601],
-    [1517, 1523, 1700],
-    [1151, 1276, 1517, 1700, 1601, 1391],
-    [1163, 1283, 1523, 1700, 1601, 1403],
-    [1176, 1284, 1524, 1707, 1608, 1416],
-    [1177, 1285, 1525, 1707, 1608, 1417],
-    [1416, 1417, 1608],
-    [1524, 1525, 1707],
-    [1170, 1296, 1536, 1710, 1602, 1410],
-    [1164, 1290, 1530, 1710, 1602, 1404],
-    [1404, 1410, 1602],
-    [1530, 1536, 1710],
-    [1405, 1412, 1603],
-    [1172, 1298, 1537, 1711, 1603, 1412],
-    [1531, 1537, 1711],
-    [1165, 1291, 1531, 1711, 1603, 1405],
-    [1166, 1292, 1532, 1712, 1604, 1406],
-    [1406, 1411, 1604],
-    [1171, 1297, 1538, 1712, 1604, 1411],
-    [1532, 1538, 1712],
-    [1407, 1413, 1605],
-    [1167, 1293, 1533, 1713, 1605, 1407],
-    [1173, 1299, 1539, 1713, 1605, 1413],
-    [1533, 1539, 1713],
-    [1418, 1419, 1609],
-    [1526, 1527, 1708],
-    [1179, 1287, 1527, 1708, 1609, 1419],
-    [1178, 1286, 1526, 1708, 1609, 1418],
-    [1181, 1289, 1529, 1709, 1610, 1421],
-    [1420, 1421, 1610],
-    [1180, 1288, 1528, 1709, 1610, 1420],
-    [1528, 1529, 1709],
-    [1408, 1414, 1606],
-    [1174, 1300, 1540, 1714, 1606, 1414],
-    [1168, 1294, 1534, 1714, 1606, 1408],
-    [1534, 1540, 1714],
-    [1175, 1301, 1541, 1715, 1607, 1415],
-    [1169, 1295, 1535, 1715, 1607, 1409],
-    [1409, 1415, 1607],
-    [1535, 1541, 1715],
-    [1422, 1428, 1611],
-    [1182, 1302, 1542, 1725, 1611, 1422],
-    [1542, 1548, 1725],
-    [1188, 1308, 1548, 1725, 1611, 1428],
-    [1423, 1429, 1612],
-    [1189, 1309, 1549, 1726, 1612, 1429],
-    [1183, 1303, 1543, 1726, 1612, 1423],
-    [1543, 1549, 1726],
-    [1184, 1304, 1544, 1727, 1613, 1424],
-    [1424, 1430, 1613],
-    [1190, 1310, 1550, 1727, 1613, 1430],
-    [1544, 1550, 1727],
-    [1192, 1311, 1551, 1728, 1615, 1432],
-    [1426, 1432, 1615],
-    [1186, 1305, 1545, 1728, 1615, 1426],
-    [1545, 1551, 1728],
-    [1425, 1431, 1614],
-    [1185, 1306, 1546, 1729, 1614, 1425],
-    [1191, 1312, 1552, 1729, 1614, 1431],
-    [1546, 1552, 1729],
-    [1427, 1433, 1616],
-    [1547, 1553, 1730],
-    [1187, 1307, 1547, 1730, 1616, 1427],
-    [1193, 1313, 1553, 1730, 1616, 1433],
-    [1434, 1436, 1617],
-    [1194, 1314, 1554, 1737, 1617, 1434],
-    [1196, 1316, 1555, 1737, 1617, 1436],
-    [1554, 1555, 1737],
-    [1435, 1437, 1618],
-    [1556, 1557, 1738],
-    [1195, 1315, 1556, 1738, 1618, 1435],
-    [1197, 1317, 1557, 1738, 1618, 1437],
-    [1199, 1319, 1559, 1739, 1619, 1439],
-    [1198, 1318, 1558, 1739, 1619, 1438],
-    [1438, 1439, 1619],
-    [1558, 1559, 1739],
-    [1321, 1323, 1562, 1742, 1740, 1560],
-    [1320, 1322, 1561, 1741, 1740, 1560],
-    [1324, 1325, 1562, 1742, 1741, 1561],
-    [1740, 1741, 1742],
-    [1333, 1339, 1569, 1764, 1752, 1564],
-    [1326, 1327, 1564, 1752, 1751, 1563],
-    [1332, 1338, 1569, 1764, 1751, 1563],
-    [1751, 1752, 1764],
-    [1328, 1329, 1566, 1754, 1753, 1565],
-    [1335, 1341, 1570, 1765, 1754, 1566],
-    [1753, 1754, 1765],
-    [1334, 1340, 1570, 1765, 1753, 1565],
-    [1336, 1342, 1571, 1766, 1759, 1567],
-    [1337, 1343, 1571, 1766, 1760, 1568],
-    [1759, 1760, 1766],
-    [1330, 1331, 1568, 1760, 1759, 1567],
-    [1350, 1362, 1584, 1779, 1767, 1572],
-    [1344, 1356, 1578, 1773, 1767, 1572],
-    [1368, 1374, 1584, 1779, 1773, 1578],
-    [1767, 1773, 1779],
-    [1351, 1363, 1585, 1781, 1768, 1573],
-    [1369, 1375, 1585, 1781, 1774, 1579],
-    [1768, 1774, 1781],
-    [1345, 1357, 1579, 1774, 1768, 1573],
-    [1346, 1358, 1580, 1775, 1769, 1574],
-    [1769, 1775, 1784],
-    [1352, 1364, 1586, 1784, 1769, 1574],
-    [1370, 1376, 1586, 1784, 1775, 1580],
-    [1354, 1366, 1588, 1787, 1771, 1576],
-    [1371, 1378, 1588, 1787, 1776, 1581],
-    [1771, 1776, 1787],
-    [1347, 1359, 1581, 1776, 1771, 1576],
-    [1348, 1360, 1582, 1777, 1770, 1575],
-    [1353, 1365, 1587, 1786, 1770, 1575],
-    [1770, 1777, 1786],
-    [1372, 1377, 1587, 1786, 1777, 1582],
-    [1355, 1367, 1589, 1789, 1772, 1577],
-    [1349, 1361, 1583, 1778, 1772, 1577],
-    [1772, 1778, 1789],
-    [1373, 1379, 1589, 1789, 1778, 1583],
-    [1392, 1404, 1602, 1827, 1810, 1590],
-    [1398, 1410, 1602, 1827, 1821, 1596],
-    [1810, 1821, 1827],
-    [1380, 1386, 1596, 1821, 1810, 1590],
-    [1399, 1411, 1604, 1829, 1822, 1597],
-    [1394, 1406, 1604, 1829, 1813, 1592],
-    [1813, 1822, 1829],
-    [1382, 1387, 1597, 1822, 1813, 1592],
-    [1393, 1405, 1603, 1828, 1812, 1591],
-    [1381, 1388, 1598, 1823, 1812, 1591],
-    [1812, 1823, 1828],
-    [1400, 1412, 1603, 1828, 1823, 1598],
-    [1401, 1413, 1605, 1830, 1824, 1599],
-    [1815, 1824, 1830],
-    [1383, 1389, 1599, 1824, 1815, 1593],
-    [1395, 1407, 1605, 1830, 1815, 1593],
-    [1396, 1408, 1606, 1831, 1818, 1594],
-    [1384, 1390, 1600, 1825, 1818, 1594],
-    [1818, 1825, 1831],
-    [1402, 1414, 1606, 1831, 1825, 1600],
-    [1397, 1409, 1607, 1832, 1820, 1595],
-    [1403, 1415, 1607, 1832, 1826, 1601],
-    [1385, 1391, 1601, 1826, 1820, 1595],
-    [1820, 1826, 1832],
-    [1417, 1423, 1612, 1840, 1833, 1608],
-    [1416, 1422, 1611, 1839, 1833, 1608],
-    [1833, 1839, 1840],
-    [1428, 1429, 1612, 1840, 1839, 1611],
-    [1430, 1431, 1614, 1846, 1845, 1613],
-    [1418, 1424, 1613, 1845, 1834, 1609],
-    [1834, 1845, 1846],
-    [1419, 1425, 1614, 1846, 1834, 1609],
-    [1420, 1426, 1615, 1847, 1835, 1610],
-    [1421, 1427, 1616, 1848, 1835, 1610],
-    [1432, 1433, 1616, 1848, 1847, 1615],
-    [1835, 1847, 1848],
-    [1436, 1438, 1619, 1859, 1857, 1617],
-    [1437, 1439, 1619, 1859, 1858, 1618],
-    [1434, 1435, 1618, 1858, 1857, 1617],
-    [1857, 1858, 1859],
-    [1560, 1620, 1860, 1980, 1740],
-    [1561, 1621, 1861, 1981, 1741],
-    [1440, 1620, 1860, 2040, 1863, 1623],
-    [1442, 1621, 1861, 2042, 1865, 1625],
-    [1448, 1625, 1865, 2048, 1871, 1631],
-    [1446, 1623, 1863, 2046, 1869, 1629],
-    [1563, 1629, 1869, 1983, 1751],
-    [1564, 1631, 1871, 1984, 1752],
-    [1740, 1741, 1981, 2162, 2160, 1980],
-    [1860, 1980, 2160, 2400, 2280, 2040],
-    [1863, 2040, 2280, 2286, 2046],
-    [1751, 1752, 1984, 2167, 2166, 1983],
-    [1871, 1984, 2167, 2407, 2288, 2048],
-    [1865, 2042, 2282, 2288, 2048],
-    [2160, 2162, 2402, 2520, 2400],
-    [2280, 2286, 2406, 2523, 2520, 2400],
-    [1869, 1983, 2166, 2406, 2286, 2046],
-    [2166, 2167, 2407, 2523, 2406],
-    [2282, 2288, 2407, 2523, 2520, 2402],
-    [1861, 1981, 2162, 2402, 2282, 2042],
-    [1562, 1622, 1862, 1982, 1742],
-    [1441, 1620, 1860, 2041, 1864, 1624],
-    [1444, 1622, 1862, 2044, 1867, 1627],
-    [1566, 1632, 1872, 1986, 1754],
-    [1565, 1630, 1870, 1985, 1753],
-    [1449, 1627, 1867, 2049, 1872, 1632],
-    [1447, 1624, 1864, 2047, 1870, 1630],
-    [1740, 1742, 1982, 2163, 2161, 1980],
-    [1753, 1754, 1986, 2169, 2168, 1985],
-    [1867, 2044, 2283, 2289, 2049],
-    [1860, 1980, 2161, 2401, 2281, 2041],
-    [1862, 1982, 2163, 2403, 2283, 2044],
-    [1872, 1986, 2169, 2409, 2289, 2049],
-    [2161, 2163, 2403, 2521, 2401],
-    [1870, 1985, 2168, 2408, 2287, 2047],
-    [1864, 2041, 2281, 2287, 2047],
-    [2168, 2169, 2409, 2524, 2408],
-    [2281, 2287, 2408, 2524, 2521, 2401],
-    [2283, 2289, 2409, 2524, 2521, 2403],
-    [1445, 1622, 1862, 2045, 1868, 1628],
-    [1443, 1621, 1861, 2043, 1866, 1626],
-    [1450, 1626, 1866, 2050, 1873, 1633],
-    [1451, 1628, 1868, 2051, 1874, 1634],
-    [1567, 1633, 1873, 1987, 1759],
-    [1568, 1634, 1874, 1988, 1760],
-    [1868, 2045, 2285, 2291, 2051],
-    [1866, 2043, 2284, 2290, 2050],
-    [1862, 1982, 2165, 2405, 2285, 2045],
-    [1873, 1987, 2170, 2410, 2290, 2050],
-    [1741, 1742, 1982, 2165, 2164, 1981],
-    [1759, 1760, 1988, 2171, 2170, 1987],
-    [1874, 1988, 2171, 2411, 2291, 2051],
-    [1861, 1981, 2164, 2404, 2284, 2043],
-    [2285, 2291, 2411, 2525, 2522, 2405],
-    [2284, 2290, 2410, 2525, 2522, 2404],
-    [2164, 2165, 2405, 2522, 2404],
-    [2170, 2171, 2411, 2525, 2410],
-    [1624, 1744, 1864],
-    [1623, 1743, 1863],
-    [1860, 2040, 2041],
-    [1743, 1744, 1864, 2041, 2040, 1863],
-    [1625, 1745, 1865],
-    [1626, 1746, 1866],
-    [1861, 2042, 2043],
-    [1745, 1746, 1866, 2043, 2042, 1865],
-    [1627, 1747, 1867],
-    [1628, 1748, 1868],
-    [1862, 2044, 2045],
-    [1747, 1748, 1868, 2045, 2044, 1867],
-    [1452, 1629, 1869, 2052, 1875, 1635],
-    [1635, 1749, 1875],
-    [1743, 1749, 1875, 2052, 2046, 1863],
-    [1869, 2046, 2052],
-    [1453, 1630, 1870, 2053, 1876, 1636],
-    [1636, 1750, 1876],
-    [1744, 1750, 1876, 2053, 2047, 1864],
-    [1870, 2047, 2053],
-    [1637, 1755, 1877],
-    [1454, 1631, 1871, 2054, 1877, 1637],
-    [1871, 2048, 2054],
-    [1745, 1755, 1877, 2054, 2048, 1865],
-    [1455, 1632, 1872, 2055, 1879, 1639],
-    [1639, 1757, 1879],
-    [1747, 1757, 1879, 2055, 2049, 1867],
-    [1872, 2049, 2055],
-    [1638, 1756, 1878],
-    [1456, 1633, 1873, 2056, 1878, 1638],
-    [1873, 2050, 2056],
-    [1746, 1756, 1878, 2056, 2050, 1866],
-    [1640, 1758, 1880],
-    [1457, 1634, 1874, 2057, 1880, 1640],
-    [1874, 2051, 2057],
-    [1748, 1758, 1880, 2057, 2051, 1868],
-    [1641, 1761, 1881],
-    [1458, 1635, 1875, 2058, 1884, 1644],
-    [1464, 1641, 1881, 2064, 1884, 1644],
-    [1884, 2058, 2064],
-    [1749, 1761, 1881, 2064, 2058, 1875],
-    [1459, 1636, 1876, 2059, 1885, 1645],
-    [1465, 1641, 1881, 2065, 1885, 1645],
-    [1750, 1761, 1881, 2065, 2059, 1876],
-    [1885, 2059, 2065],
-    [1642, 1762, 1882],
-    [1466, 1642, 1882, 2066, 1886, 1646],
-    [1460, 1637, 1877, 2060, 1886, 1646],
-    [1755, 1762, 1882, 2066, 2060, 1877],
-    [1886, 2060, 2066],
-    [1461, 1638, 1878, 2061, 1887, 1647],
-    [1467, 1642, 1882, 2067, 1887, 1647],
-    [1756, 1762, 1882, 2067, 2061, 1878],
-    [1887, 2061, 2067],
-    [1643, 1763, 1883],
-    [1462, 1639, 1879, 2062, 1888, 1648],
-    [1468, 1643, 1883, 2068, 1888, 1648],
-    [1757, 1763, 1883, 2068, 2062, 1879],
-    [1888, 2062, 2068],
-    [1463, 1640, 1880, 2063, 1889, 1649],
-    [1469, 1643, 1883, 2069, 1889, 1649],
-    [1889, 2063, 2069],
-    [1758, 1763, 1883, 2069, 2063, 1880],
-    [1569, 1650, 1890, 1989, 1764],
-    [1572, 1644, 1884, 1992, 1767],
-    [1470, 1650, 1890, 2070, 1893, 1653],
-    [1476, 1653, 1893, 2076, 1899, 1659],
-    [1578, 1659, 1899, 1998, 1773],
-    [1767, 1773, 1998, 2196, 2184, 1992],
-    [1884, 1992, 2184, 2424, 2298, 2058],
-    [1875, 2052, 2292, 2298, 2058],
-    [1751, 1764, 1989, 2178, 2172, 1983],
-    [1890, 1989, 2178, 2418, 2310, 2070],
-    [1893, 2070, 2310, 2316, 2076],
-    [2184, 2196, 2436, 2532, 2424],
-    [2292, 2298, 2424, 2532, 2526, 2412],
-    [1869, 1983, 2172, 2412, 2292, 2052],
-    [2172, 2178, 2418, 2526, 2412],
-    [2310, 2316, 2436, 2532, 2526, 2418],
-    [1899, 1998, 2196, 2436, 2316, 2076],
-    [1570, 1651, 1891, 1990, 1765],
-    [1573, 1645, 1885, 1993, 1768],
-    [1472, 1651, 1891, 2072, 1895, 1655],
-    [1478, 1655, 1895, 2078, 1901, 1661],
-    [1579, 1661, 1901, 1999, 1774],
-    [1876, 2053, 2293, 2299, 2059],
-    [1870, 1985, 2174, 2414, 2293, 2053],
-    [1885, 1993, 2185, 2425, 2299, 2059],
-    [1895, 2072, 2312, 2318, 2078],
-    [1753, 1765, 1990, 2180, 2174, 1985],
-    [1768, 1774, 1999, 2197, 2185, 1993],
-    [2293, 2299, 2425, 2533, 2528, 2414],
-    [1891, 1990, 2180, 2420, 2312, 2072],
-    [1901, 1999, 2197, 2437, 2318, 2078],
-    [2174, 2180, 2420, 2528, 2414],
-    [2185, 2197, 2437, 2533, 2425],
-    [2312, 2318, 2437, 2533, 2528, 2420],
-    [1574, 1646, 1886, 1994, 1769],
-    [1471, 1650, 1890, 2071, 1894, 1654],
-    [1580, 1660, 1900, 2000, 1775],
-    [1477, 1654, 1894, 2077, 1900, 1660],
-    [1752, 1764, 1989, 2179, 2173, 1984],
-    [1769, 1775, 2000, 2198, 2186, 1994],
-    [1871, 1984, 2173, 2413, 2294, 2054],
-    [1890, 1989, 2179, 2419, 2311, 2071],
-    [2173, 2179, 2419, 2527, 2413],
-    [1877, 2054, 2294, 2300, 2060],
-    [1894, 2071, 2311, 2317, 2077],
-    [1886, 1994, 2186, 2426, 2300, 2060],
-    [1900, 2000, 2198, 2438, 2317, 2077],
-    [2294, 2300, 2426, 2534, 2527, 2413],
-    [2311, 2317, 2438, 2534, 2527, 2419],
-    [2186, 2198, 2438, 2534, 2426],
-    [1576, 1648, 1888, 1996, 1771],
-    [1473, 1651, 1891, 2073, 1896, 1656],
-    [1479, 1656, 1896, 2079, 1902, 1662],
-    [1581, 1662, 1902, 2001, 1776],
-    [1879, 2055, 2295, 2301, 2062],
-    [1754, 1765, 1990, 2181, 2175, 1986],
-    [1872, 1986, 2175, 2415, 2295, 2055],
-    [1888, 1996, 2187, 2427, 2301, 2062],
-    [2295, 2301, 2427, 2535, 2529, 2415],
-    [2175, 2181, 2421, 2529, 2415],
-    [1896, 2073, 2313, 2319, 2079],
-    [1902, 2001, 2199, 2439, 2319, 2079],
-    [2187, 2199, 2439, 2535, 2427],
-    [1771, 1776, 2001, 2199, 2187, 1996],
-    [1891, 1990, 2181, 2421, 2313, 2073],
-    [2313, 2319, 2439, 2535, 2529, 2421],
-    [1571, 1652, 1892, 1991, 1766],
-    [1575, 1647, 1887, 1995, 1770],
-    [1474, 1652, 1892, 2074, 1897, 1657],
-    [1582, 1663, 1903, 2002, 1777],
-    [1480, 1657, 1897, 2080, 1903, 1663],
-    [1759, 1766, 1991, 2182, 2176, 1987],
-    [1878, 2056, 2296, 2302, 2061],
-    [1770, 1777, 2002, 2200, 2188, 1995],
-    [1892, 1991, 2182, 2422, 2314, 2074],
-    [1873, 1987, 2176, 2416, 2296, 2056],
-    [2176, 2182, 2422, 2530, 2416],
-    [1897, 2074, 2314, 2320, 2080],
-    [1887, 1995, 2188, 2428, 2302, 2061],
-    [2314, 2320, 2440, 2536, 2530, 2422],
-    [2188, 2200, 2440, 2536, 2428],
-    [1903, 2002, 2200, 2440, 2320, 2080],
-    [2296, 2302, 2428, 2536, 2530, 2416],
-    [1577, 1649, 1889, 1997, 1772],
-    [1475, 1652, 1892, 2075, 1898, 1658],
-    [1481, 1658, 1898, 2081, 1904, 1664],
-    [1583, 1664, 1904, 2003, 1778],
-    [1760, 1766, 1991, 2183, 2177, 1988],
-    [1772, 1778, 2003, 2201, 2189, 1997],
-    [1889, 1997, 2189, 2429, 2303, 2063],
-    [1892, 1991, 2183, 2423, 2315, 2075],
-    [1874, 1988, 2177, 2417, 2297, 2057],
-    [1880, 2057, 2297, 2303, 2063],
-    [1898, 2075, 2315, 2321, 2081],
-    [2177, 2183, 2423, 2531, 2417],
-    [2189, 2201, 2441, 2537, 2429],
-    [1904, 2003, 2201, 2441, 2321, 2081],
-    [2297, 2303, 2429, 2537, 2531, 2417],
-    [2315, 2321, 2441, 2537, 2531, 2423],
-    [1654, 1782, 1894],
-    [1653, 1780, 1893],
-    [1890, 2070, 2071],
-    [1780, 1782, 1894, 2071, 2070, 1893],
-    [1655, 1783, 1895],
-    [1656, 1785, 1896],
-    [1891, 2072, 2073],
-    [1783, 1785, 1896, 2073, 2072, 1895],
-    [1657, 1788, 1897],
-    [1658, 1790, 1898],
-    [1892, 2074, 2075],
-    [1788, 1790, 1898, 2075, 2074, 1897],
-    [1584, 1665, 1905, 2004, 1779],
-    [1585, 1667, 1907, 2005, 1781],
-    [1489, 1667, 1907, 2089, 1917, 1677],
-    [1488, 1665, 1905, 2088, 1917, 1677],
-    [1767, 1779, 2004, 2202, 2190, 1992],
-    [1768, 1781, 2005, 2203, 2191, 1993],
-    [1917, 2088, 2322, 2324, 2089],
-    [1884, 1992, 2190, 2430, 2304, 2064],
-    [1905, 2004, 2202, 2442, 2322, 2088],
-    [1907, 2005, 2203, 2443, 2324, 2089],
-    [2190, 2202, 2442, 2538, 2430],
-    [1885, 1993, 2191, 2431, 2305, 2065],
-    [1881, 2064, 2304, 2305, 2065],
-    [2191, 2203, 2443, 2539, 2431],
-    [2304, 2305, 2431, 2539, 2538, 2430],
-    [2322, 2324, 2443, 2539, 2538, 2442],
-    [1586, 1670, 1910, 2006, 1784],
-    [1587, 1672, 1912, 2007, 1786],
-    [1490, 1670, 1910, 2090, 1918, 1678],
-    [1491, 1672, 1912, 2091, 1918, 1678],
-    [1918, 2090, 2327, 2329, 2091],
-    [1770, 1786, 2007, 2205, 2193, 1995],
-    [1882, 2066, 2306, 2307, 2067],
-    [1887, 1995, 2193, 2433, 2307, 2067],
-    [1886, 1994, 2192, 2432, 2306, 2066],
-    [1769, 1784, 2006, 2204, 2192, 1994],
-    [2306, 2307, 2433, 2541, 2540, 2432],
-    [2193, 2205, 2445, 2541, 2433],
-    [1912, 2007, 2205, 2445, 2329, 2091],
-    [2192, 2204, 2444, 2540, 2432],
-    [2327, 2329, 2445, 2541, 2540, 2444],
-    [1910, 2006, 2204, 2444, 2327, 2090],
-    [1589, 1675, 1915, 2009, 1789],
-    [1588, 1673, 1913, 2008, 1787],
-    [1492, 1673, 1913, 2092, 1919, 1679],
-    [1493, 1675, 1915, 2093, 1919, 1679],
-    [1772, 1789, 2009, 2207, 2195, 1997],
-    [1919, 2092, 2330, 2332, 2093],
-    [1771, 1787, 2008, 2206, 2194, 1996],
-    [1889, 1997, 2195, 2435, 2309, 2069],
-    [1915, 2009, 2207, 2447, 2332, 2093],
-    [1883, 2068, 2308, 2309, 2069],
-    [2195, 2207, 2447, 2543, 2435],
-    [1913, 2008, 2206, 2446, 2330, 2092],
-    [2308, 2309, 2435, 2543, 2542, 2434],
-    [2194, 2206, 2446, 2542, 2434],
-    [1888, 1996, 2194, 2434, 2308, 2068],
-    [2330, 2332, 2447, 2543, 2542, 2446],
-    [1482, 1659, 1899, 2082, 1906, 1666],
-    [1666, 1791, 1906],
-    [1899, 2076, 2082],
-    [1780, 1791, 1906, 2082, 2076, 1893],
-    [1483, 1660, 1900, 2083, 1908, 1668],
-    [1668, 1792, 1908],
-    [1782, 1792, 1908, 2083, 2077, 1894],
-    [1900, 2077, 2083],
-    [1484, 1661, 1901, 2084, 1909, 1669],
-    [1669, 1793, 1909],
-    [1901, 2078, 2084],
-    [1783, 1793, 1909, 2084, 2078, 1895],
-    [1671, 1794, 1911],
-    [1485, 1662, 1902, 2085, 1911, 1671],
-    [1902, 2079, 2085],
-    [1785, 1794, 1911, 2085, 2079, 1896],
-    [1486, 1663, 1903, 2086, 1914, 1674],
-    [1674, 1795, 1914],
-    [1788, 1795, 1914, 2086, 2080, 1897],
-    [1903, 2080, 2086],
-    [1487, 1664, 1904, 2087, 1916, 1676],
-    [1676, 1796, 1916],
-    [1904, 2081, 2087],
-    [1790, 1796, 1916, 2087, 2081, 1898],
-    [1494, 1665, 1905, 2094, 1923, 1683],
-    [1495, 1666, 1906, 2095, 1924, 1684],
-    [1590, 1684, 1924, 2010, 1810],
-    [1512, 1683, 1923, 2112, 1935, 1695],
-    [1596, 1695, 1935, 2016, 1821],
-    [1923, 2094, 2340, 2346, 2112],
-    [1906, 2082, 2323, 2334, 2095],
-    [1905, 2004, 2214, 2454, 2340, 2094],
-    [1924, 2010, 2220, 2460, 2334, 2095],
-    [1773, 1779, 2004, 2214, 2208, 1998],
-    [1810, 1821, 2016, 2226, 2220, 2010],
-    [1935, 2016, 2226, 2466, 2346, 2112],
-    [1899, 1998, 2208, 2448, 2323, 2082],
-    [2340, 2346, 2466, 2550, 2544, 2454],
-    [2323, 2334, 2460, 2550, 2544, 2448],
-    [2208, 2214, 2454, 2544, 2448],
-    [2220, 2226, 2466, 2550, 2460],
-    [1677, 1800, 1917],
-    [1683, 1803, 1923],
-    [1905, 2088, 2094],
-    [1800, 1803, 1923, 2094, 2088, 1917],
-    [1496, 1667, 1907, 2096, 1925, 1685],
-    [1685, 1804, 1925],
-    [1800, 1804, 1925, 2096, 2089, 1917],
-    [1907, 2089, 2096],
-    [1680, 1797, 1920],
-    [1506, 1680, 1920, 2106, 1924, 1684],
-    [1924, 2095, 2106],
-    [1791, 1797, 1920, 2106, 2095, 1906],
-    [1497, 1668, 1908, 2097, 1926, 1686],
-    [1507, 1680, 1920, 2107, 1926, 1686],
-    [1792, 1797, 1920, 2107, 2097, 1908],
-    [1926, 2097, 2107],
-    [1498, 1669, 1909, 2098, 1927, 1687],
-    [1513, 1685, 1925, 2113, 1936, 1696],
-    [1597, 1696, 1936, 2017, 1822],
-    [1592, 1687, 1927, 2012, 1813],
-    [1925, 2096, 2341, 2348, 2113],
-    [1774, 1781, 2005, 2215, 2209, 1999],
-    [1907, 2005, 2215, 2455, 2341, 2096],
-    [1936, 2017, 2227, 2467, 2348, 2113],
-    [2341, 2348, 2467, 2551, 2545, 2455],
-    [2209, 2215, 2455, 2545, 2449],
-    [1909, 2084, 2326, 2336, 2098],
-    [1927, 2012, 2222, 2462, 2336, 2098],
-    [2222, 2227, 2467, 2551, 2462],
-    [1813, 1822, 2017, 2227, 2222, 2012],
-    [1901, 1999, 2209, 2449, 2326, 2084],
-    [2326, 2336, 2462, 2551, 2545, 2449],
-    [1499, 1670, 1910, 2099, 1928, 1688],
-    [1591, 1686, 1926, 2011, 1812],
-    [1598, 1697, 1937, 2018, 1823],
-    [1514, 1688, 1928, 2114, 1937, 1697],
-    [1928, 2099, 2342, 2351, 2114],
-    [1812, 1823, 2018, 2228, 2221, 2011],
-    [1908, 2083, 2325, 2335, 2097],
-    [1926, 2011, 2221, 2461, 2335, 2097],
-    [1900, 2000, 2210, 2450, 2325, 2083],
-    [1775, 1784, 2006, 2216, 2210, 2000],
-    [2325, 2335, 2461, 2552, 2546, 2450],
-    [2221, 2228, 2468, 2552, 2461],
-    [1937, 2018, 2228, 2468, 2351, 2114],
-    [2210, 2216, 2456, 2546, 2450],
-    [2342, 2351, 2468, 2552, 2546, 2456],
-    [1910, 2006, 2216, 2456, 2342, 2099],
-    [1681, 1798, 1921],
-    [1508, 1681, 1921, 2108, 1927, 1687],
-    [1927, 2098, 2108],
-    [1793, 1798, 1921, 2108, 2098, 1909],
-    [1500, 1671, 1911, 2100, 1929, 1689],
-    [1509, 1681, 1921, 2109, 1929, 1689],
-    [1929, 2100, 2109],
-    [1794, 1798, 1921, 2109, 2100, 1911],
-    [1678, 1801, 1918],
-    [1688, 1805, 1928],
-    [1910, 2090, 2099],
-    [1801, 1805, 1928, 2099, 2090, 1918],
-    [1501, 1672, 1912, 2101, 1930, 1690],
-    [1690, 1806, 1930],
-    [1912, 2091, 2101],
-    [1801, 1806, 1930, 2101, 2091, 1918],
-    [1502, 1673, 1913, 2102, 1931, 1691],
-    [1593, 1689, 1929, 2013, 1815],
-    [1516, 1691, 1931, 2116, 1939, 1699],
-    [1599, 1699, 1939, 2019, 1824],
-    [1911, 2085, 2328, 2337, 2100],
-    [1776, 1787, 2008, 2218, 2211, 2001],
-    [1931, 2102, 2344, 2354, 2116],
-    [1913, 2008, 2218, 2458, 2344, 2102],
-    [1939, 2019, 2229, 2469, 2354, 2116],
-    [1815, 1824, 2019, 2229, 2223, 2013],
-    [2344, 2354, 2469, 2553, 2547, 2458],
-    [2211, 2218, 2458, 2547, 2451],
-    [1902, 2001, 2211, 2451, 2328, 2085],
-    [2223, 2229, 2469, 2553, 2463],
-    [2328, 2337, 2463, 2553, 2547, 2451],
-    [1929, 2013, 2223, 2463, 2337, 2100],
-    [1503, 1674, 1914, 2103, 1932, 1692],
-    [1594, 1692, 1932, 2014, 1818],
-    [1515, 1690, 1930, 2115, 1938, 1698],
-    [1600, 1698, 1938, 2020, 1825],
-    [1914, 2086, 2331, 2338, 2103],
-    [1818, 1825, 2020, 2230, 2224, 2014],
-    [1932, 2014, 2224, 2464, 2338, 2103],
-    [1903, 2002, 2212, 2452, 2331, 2086],
-    [2331, 2338, 2464, 2554, 2548, 2452],
-    [1930, 2101, 2343, 2353, 2115],
-    [2224, 2230, 2470, 2554, 2464],
-    [1912, 2007, 2217, 2457, 2343, 2101],
-    [2212, 2217, 2457, 2548, 2452],
-    [1777, 1786, 2007, 2217, 2212, 2002],
-    [1938, 2020, 2230, 2470, 2353, 2115],
-    [2343, 2353, 2470, 2554, 2548, 2457],
-    [1679, 1802, 1919],
-    [1691, 1807, 1931],
-    [1802, 1807, 1931, 2102, 2092, 1919],
-    [1913, 2092, 2102],
-    [1504, 1675, 1915, 2104, 1933, 1693],
-    [1693, 1808, 1933],
-    [1915, 2093, 2104],
-    [1802, 1808, 1933, 2104, 2093, 1919],
-    [1682, 1799, 1922],
-    [1510, 1682, 1922, 2110, 1932, 1692],
-    [1795, 1799, 1922, 2110, 2103, 1914],
-    [1932, 2103, 2110],
-    [1505, 1676, 1916, 2105, 1934, 1694],
-    [1511, 1682, 1922, 2111, 1934, 1694],
-    [1934, 2105, 2111],
-    [1796, 1799, 1922, 2111, 2105, 1916],
-    [1595, 1694, 1934, 2015, 1820],
-    [1517, 1693, 1933, 2117, 1940, 1700],
-    [1601, 1700, 1940, 2021, 1826],
-    [1916, 2087, 2333, 2339, 2105],
-    [1933, 2104, 2345, 2356, 2117],
-    [1934, 2015, 2225, 2465, 2339, 2105],
-    [1915, 2009, 2219, 2459, 2345, 2104],
-    [1820, 1826, 2021, 2231, 2225, 2015],
-    [1778, 1789, 2009, 2219, 2213, 2003],
-    [1904, 2003, 2213, 2453, 2333, 2087],
-    [1940, 2021, 2231, 2471, 2356, 2117],
-    [2333, 2339, 2465, 2555, 2549, 2453],
-    [2345, 2356, 2471, 2555, 2549, 2459],
-    [2225, 2231, 2471, 2555, 2465],
-    [2213, 2219, 2459, 2549, 2453],
-    [1701, 1809, 1941],
-    [1518, 1695, 1935, 2118, 1941, 1701],
-    [1935, 2112, 2118],
-    [1803, 1809, 1941, 2118, 2112, 1923],
-    [1702, 1811, 1942],
-    [1519, 1696, 1936, 2119, 1942, 1702],
-    [1804, 1811, 1942, 2119, 2113, 1925],
-    [1936, 2113, 2119],
-    [1520, 1697, 1937, 2120, 1943, 1703],
-    [1703, 1814, 1943],
-    [1937, 2114, 2120],
-    [1805, 1814, 1943, 2120, 2114, 1928],
-    [1704, 1816, 1944],
-    [1521, 1698, 1938, 2121, 1944, 1704],
-    [1938, 2115, 2121],
-    [1806, 1816, 1944, 2121, 2115, 1930],
-    [1705, 1817, 1945],
-    [1522, 1699, 1939, 2122, 1945, 1705],
-    [1807, 1817, 1945, 2122, 2116, 1931],
-    [1939, 2116, 2122],
-    [1706, 1819, 1946],
-    [1523, 1700, 1940, 2123, 1946, 1706],
-    [1940, 2117, 2123],
-    [1808, 1819, 1946, 2123, 2117, 1933],
-    [1602, 1710, 1950, 2022, 1827],
-    [1603, 1711, 1951, 2023, 1828],
-    [1530, 1710, 1950, 2130, 1956, 1716],
-    [1531, 1711, 1951, 2131, 1956, 1716],
-    [1810, 1827, 2022, 2244, 2232, 2010],
-    [1920, 2106, 2347, 2349, 2107],
-    [1812, 1828, 2023, 2245, 2233, 2011],
-    [1950, 2022, 2244, 2484, 2370, 2130],
-    [1924, 2010, 2232, 2472, 2347, 2106],
-    [2232, 2244, 2484, 2556, 2472],
-    [1956, 2130, 2370, 2371, 2131],
-    [1926, 2011, 2233, 2473, 2349, 2107],
-    [2370, 2371, 2485, 2557, 2556, 2484],
-    [2233, 2245, 2485, 2557, 2473],
-    [1951, 2023, 2245, 2485, 2371, 2131],
-    [2347, 2349, 2473, 2557, 2556, 2472],
-    [1604, 1712, 1952, 2024, 1829],
-    [1605, 1713, 1953, 2025, 1830],
-    [1532, 1712, 1952, 2132, 1957, 1717],
-    [1533, 1713, 1953, 2133, 1957, 1717],
-    [1921, 2108, 2350, 2352, 2109],
-    [1813, 1829, 2024, 2246, 2234, 2012],
-    [1957, 2132, 2372, 2373, 2133],
-    [1952, 2024, 2246, 2486, 2372, 2132],
-    [1953, 2025, 2247, 2487, 2373, 2133],
-    [1815, 1830, 2025, 2247, 2235, 2013],
-    [2372, 2373, 2487, 2559, 2558, 2486],
-    [2234, 2246, 2486, 2558, 2474],
-    [1927, 2012, 2234, 2474, 2350, 2108],
-    [2235, 2247, 2487, 2559, 2475],
-    [2350, 2352, 2475, 2559, 2558, 2474],
-    [1929, 2013, 2235, 2475, 2352, 2109],
-    [1607, 1715, 1955, 2027, 1832],
-    [1606, 1714, 1954, 2026, 1831],
-    [1535, 1715, 1955, 2135, 1958, 1718],
-    [1534, 1714, 1954, 2134, 1958, 1718],
-    [1820, 1832, 2027, 2249, 2237, 2015],
-    [1818, 1831, 2026, 2248, 2236, 2014],
-    [1922, 2110, 2355, 2357, 2111],
-    [1955, 2027, 2249, 2489, 2375, 2135],
-    [1934, 2015, 2237, 2477, 2357, 2111],
-    [1932, 2014, 2236, 2476, 2355, 2110],
-    [2237, 2249, 2489, 2561, 2477],
-    [1954, 2026, 2248, 2488, 2374, 2134],
-    [2236, 2248, 2488, 2560, 2476],
-    [1958, 2134, 2374, 2375, 2135],
-    [2374, 2375, 2489, 2561, 2560, 2488],
-    [2355, 2357, 2477, 2561, 2560, 2476],
-    [1524, 1701, 1941, 2124, 1947, 1707],
-    [1525, 1702, 1942, 2125, 1947, 1707],
-    [1947, 2124, 2125],
-    [1809, 1811, 1942, 2125, 2124, 1941],
-    [1527, 1704, 1944, 2127, 1948, 1708],
-    [1526, 1703, 1943, 2126, 1948, 1708],
-    [1948, 2126, 2127],
-    [1814, 1816, 1944, 2127, 2126, 1943],
-    [1529, 1706, 1946, 2129, 1949, 1709],
-    [1528, 1705, 1945, 2128, 1949, 1709],
-    [1949, 2128, 2129],
-    [1817, 1819, 1946, 2129, 2128, 1945],
-    [1608, 1707, 1947, 2028, 1833],
-    [1536, 1710, 1950, 2136, 1959, 1719],
-    [1542, 1719, 1959, 2142, 1965, 1725],
-    [1611, 1725, 1965, 2031, 1839],
-    [1821, 1827, 2022, 2250, 2238, 2016],
-    [1833, 1839, 2031, 2262, 2256, 2028],
-    [1947, 2028, 2256, 2496, 2364, 2124],
-    [1950, 2022, 2250, 2490, 2376, 2136],
-    [1965, 2031, 2262, 2502, 2382, 2142],
-    [1941, 2118, 2358, 2364, 2124],
-    [1959, 2136, 2376, 2382, 2142],
-    [2238, 2250, 2490, 2562, 2478],
-    [2256, 2262, 2502, 2568, 2496],
-    [1935, 2016, 2238, 2478, 2358, 2118],
-    [2358, 2364, 2496, 2568, 2562, 2478],
-    [2376, 2382, 2502, 2568, 2562, 2490],
-    [1538, 1712, 1952, 2138, 1961, 1721],
-    [1612, 1726, 1966, 2032, 1840],
-    [1543, 1721, 1961, 2143, 1966, 1726],
-    [1833, 1840, 2032, 2263, 2257, 2028],
-    [1961, 2138, 2377, 2383, 2143],
-    [1822, 1829, 2024, 2251, 2239, 2017],
-    [1947, 2028, 2257, 2497, 2365, 2125],
-    [1966, 2032, 2263, 2503, 2383, 2143],
-    [1942, 2119, 2359, 2365, 2125],
-    [2257, 2263, 2503, 2569, 2497],
-    [1952, 2024, 2251, 2491, 2377, 2138],
-    [2359, 2365, 2497, 2569, 2563, 2479],
-    [2239, 2251, 2491, 2563, 2479],
-    [1936, 2017, 2239, 2479, 2359, 2119],
-    [2377, 2383, 2503, 2569, 2563, 2491],
-    [1609, 1708, 1948, 2029, 1834],
-    [1537, 1711, 1951, 2137, 1960, 1720],
-    [1544, 1720, 1960, 2144, 1967, 1727],
-    [1613, 1727, 1967, 2033, 1845],
-    [1960, 2137, 2378, 2384, 2144],
-    [1834, 1845, 2033, 2264, 2258, 2029],
-    [1967, 2033, 2264, 2504, 2384, 2144],
-    [1951, 2023, 2252, 2492, 2378, 2137],
-    [2378, 2384, 2504, 2570, 2564, 2492],
-    [1943, 2120, 2360, 2366, 2126],
-    [2258, 2264, 2504, 2570, 2498],
-    [1937, 2018, 2240, 2480, 2360, 2120],
-    [2240, 2252, 2492, 2564, 2480],
-    [1823, 1828, 2023, 2252, 2240, 2018],
-    [1948, 2029, 2258, 2498, 2366, 2126],
-    [2360, 2366, 2498, 2570, 2564, 2480],
-    [1610, 1709, 1949, 2030, 1835],
-    [1615, 1728, 1968, 2035, 1847],
-    [1545, 1722, 1962, 2145, 1968, 1728],
-    [1539, 1713, 1953, 2139, 1962, 1722],
-    [1835, 1847, 2035, 2266, 2260, 2030],
-    [1824, 1830, 2025, 2253, 2241, 2019],
-    [1949, 2030, 2260, 2500, 2368, 2128],
-    [1968, 2035, 2266, 2506, 2385, 2145],
-    [2260, 2266, 2506, 2572, 2500],
-    [1945, 2122, 2362, 2368, 2128],
-    [1962, 2139, 2379, 2385, 2145],
-    [1939, 2019, 2241, 2481, 2362, 2122],
-    [1953, 2025, 2253, 2493, 2379, 2139],
-    [2362, 2368, 2500, 2572, 2565, 2481],
-    [2379, 2385, 2506, 2572, 2565, 2493],
-    [2241, 2253, 2493, 2565, 2481],
-    [1540, 1714, 1954, 2140, 1963, 1723],
-    [1546, 1723, 1963, 2146, 1969, 1729],
-    [1614, 1729, 1969, 2034, 1846],
-    [1963, 2140, 2380, 2386, 2146],
-    [1954, 2026, 2254, 2494, 2380, 2140],
-    [1969, 2034, 2265, 2505, 2386, 2146],
-    [1944, 2121, 2361, 2367, 2127],
-    [1825, 1831, 2026, 2254, 2242, 2020],
-    [1834, 1846, 2034, 2265, 2259, 2029],
-    [2380, 2386, 2505, 2571, 2566, 2494],
-    [1938, 2020, 2242, 2482, 2361, 2121],
-    [1948, 2029, 2259, 2499, 2367, 2127],
-    [2242, 2254, 2494, 2566, 2482],
-    [2259, 2265, 2505, 2571, 2499],
-    [2361, 2367, 2499, 2571, 2566, 2482],
-    [1541, 1715, 1955, 2141, 1964, 1724],
-    [1616, 1730, 1970, 2036, 1848],
-    [1547, 1724, 1964, 2147, 1970, 1730],
-    [1826, 1832, 2027, 2255, 2243, 2021],
-    [1955, 2027, 2255, 2495, 2381, 2141],
-    [1964, 2141, 2381, 2387, 2147],
-    [1835, 1848, 2036, 2267, 2261, 2030],
-    [1949, 2030, 2261, 2501, 2369, 2129],
-    [1946, 2123, 2363, 2369, 2129],
-    [2243, 2255, 2495, 2567, 2483],
-    [2381, 2387, 2507, 2573, 2567, 2495],
-    [1970, 2036, 2267, 2507, 2387, 2147],
-    [2261, 2267, 2507, 2573, 2501],
-    [2363, 2369, 2501, 2573, 2567, 2483],
-    [1940, 2021, 2243, 2483, 2363, 2123],
-    [1716, 1836, 1956],
-    [1719, 1841, 1959],
-    [1950, 2130, 2136],
-    [1836, 1841, 1959, 2136, 2130, 1956],
-    [1720, 1842, 1960],
-    [1836, 1842, 1960, 2137, 2131, 1956],
-    [1951, 2131, 2137],
-    [1717, 1837, 1957],
-    [1721, 1843, 1961],
-    [1837, 1843, 1961, 2138, 2132, 1957],
-    [1952, 2132, 2138],
-    [1722, 1844, 1962],
-    [1837, 1844, 1962, 2139, 2133, 1957],
-    [1953, 2133, 2139],
-    [1718, 1838, 1958],
-    [1723, 1849, 1963],
-    [1838, 1849, 1963, 2140, 2134, 1958],
-    [1954, 2134, 2140],
-    [1724, 1850, 1964],
-    [1955, 2135, 2141],
-    [1838, 1850, 1964, 2141, 2135, 1958],
-    [1548, 1725, 1965, 2148, 1971, 1731],
-    [1731, 1851, 1971],
-    [1965, 2142, 2148],
-    [1841, 1851, 1971, 2148, 2142, 1959],
-    [1549, 1726, 1966, 2149, 1973, 1733],
-    [1733, 1853, 1973],
-    [1966, 2143, 2149],
-    [1843, 1853, 1973, 2149, 2143, 1961],
-    [1732, 1852, 1972],
-    [1550, 1727, 1967, 2150, 1972, 1732],
-    [1842, 1852, 1972, 2150, 2144, 1960],
-    [1967, 2144, 2150],
-    [1551, 1728, 1968, 2151, 1974, 1734],
-    [1734, 1854, 1974],
-    [1968, 2145, 2151],
-    [1844, 1854, 1974, 2151, 2145, 1962],
-    [1735, 1855, 1975],
-    [1552, 1729, 1969, 2152, 1975, 1735],
-    [1849, 1855, 1975, 2152, 2146, 1963],
-    [1969, 2146, 2152],
-    [1736, 1856, 1976],
-    [1553, 1730, 1970, 2153, 1976, 1736],
-    [1970, 2147, 2153],
-    [1850, 1856, 1976, 2153, 2147, 1964],
-    [1554, 1731, 1971, 2154, 1977, 1737],
-    [1555, 1732, 1972, 2155, 1977, 1737],
-    [1977, 2154, 2155],
-    [1851, 1852, 1972, 2155, 2154, 1971],
-    [1556, 1733, 1973, 2156, 1978, 1738],
-    [1557, 1734, 1974, 2157, 1978, 1738],
-    [1978, 2156, 2157],
-    [1853, 1854, 1974, 2157, 2156, 1973],
-    [1559, 1736, 1976, 2159, 1979, 1739],
-    [1558, 1735, 1975, 2158, 1979, 1739],
-    [1979, 2158, 2159],
-    [1855, 1856, 1976, 2159, 2158, 1975],
-    [1617, 1737, 1977, 2037, 1857],
-    [1618, 1738, 1978, 2038, 1858],
-    [1971, 2148, 2388, 2394, 2154],
-    [1973, 2149, 2389, 2395, 2156],
-    [1977, 2037, 2274, 2514, 2394, 2154],
-    [1966, 2032, 2269, 2509, 2389, 2149],
-    [1857, 1858, 2038, 2275, 2274, 2037],
-    [1839, 1840, 2032, 2269, 2268, 2031],
-    [1965, 2031, 2268, 2508, 2388, 2148],
-    [1978, 2038, 2275, 2515, 2395, 2156],
-    [2388, 2394, 2514, 2577, 2574, 2508],
-    [2389, 2395, 2515, 2577, 2574, 2509],
-    [2274, 2275, 2515, 2577, 2514],
-    [2268, 2269, 2509, 2574, 2508],
-    [1619, 1739, 1979, 2039, 1859],
-    [1857, 1859, 2039, 2278, 2276, 2037],
-    [1845, 1846, 2034, 2271, 2270, 2033],
-    [1972, 2150, 2390, 2396, 2155],
-    [1979, 2039, 2278, 2518, 2398, 2158],
-    [1977, 2037, 2276, 2516, 2396, 2155],
-    [1967, 2033, 2270, 2510, 2390, 2150],
-    [2276, 2278, 2518, 2578, 2516],
-    [1969, 2034, 2271, 2511, 2392, 2152],
-    [2270, 2271, 2511, 2575, 2510],
-    [1975, 2152, 2392, 2398, 2158],
-    [2392, 2398, 2518, 2578, 2575, 2511],
-    [2390, 2396, 2516, 2578, 2575, 2510],
-    [1858, 1859, 2039, 2279, 2277, 2038],
-    [1979, 2039, 2279, 2519, 2399, 2159],
-    [1976, 2153, 2393, 2399, 2159],
-    [1847, 1848, 2036, 2273, 2272, 2035],
-    [1968, 2035, 2272, 2512, 2391, 2151],
-    [1974, 2151, 2391, 2397, 2157],
-    [2277, 2279, 2519, 2579, 2517],
-    [2393, 2399, 2519, 2579, 2576, 2513],
-    [1970, 2036, 2273, 2513, 2393, 2153],
-    [2272, 2273, 2513, 2576, 2512],
-    [2391, 2397, 2517, 2579, 2576, 2512],
-    [1978, 2038, 2277, 2517, 2397, 2157],
-    [1981, 2162, 2164],
-    [1982, 2163, 2165],
-    [1980, 2160, 2161],
-    [2160, 2161, 2163, 2165, 2164, 2162],
-    [1983, 2166, 2172],
-    [1984, 2167, 2173],
-    [1989, 2178, 2179],
-    [2166, 2167, 2173, 2179, 2178, 2172],
-    [1985, 2168, 2174],
-    [1990, 2180, 2181],
-    [1986, 2169, 2175],
-    [2168, 2169, 2175, 2181, 2180, 2174],
-    [1988, 2171, 2177],
-    [1987, 2170, 2176],
-    [1991, 2182, 2183],
-    [2170, 2171, 2177, 2183, 2182, 2176],
-    [1998, 2196, 2208],
-    [2004, 2202, 2214],
-    [1992, 2184, 2190],
-    [2184, 2190, 2202, 2214, 2208, 2196],
-    [1993, 2185, 2191],
-    [1999, 2197, 2209],
-    [2005, 2203, 2215],
-    [2185, 2191, 2203, 2215, 2209, 2197],
-    [1994, 2186, 2192],
-    [2000, 2198, 2210],
-    [2006, 2204, 2216],
-    [2186, 2192, 2204, 2216, 2210, 2198],
-    [1996, 2187, 2194],
-    [2001, 2199, 2211],
-    [2008, 2206, 2218],
-    [2187, 2194, 2206, 2218, 2211, 2199],
-    [2002, 2200, 2212],
-    [2007, 2205, 2217],
-    [1995, 2188, 2193],
-    [2188, 2193, 2205, 2217, 2212, 2200],
-    [2003, 2201, 2213],
-    [2009, 2207, 2219],
-    [1997, 2189, 2195],
-    [2189, 2195, 2207, 2219, 2213, 2201],
-    [2016, 2226, 2238],
-    [2010, 2220, 2232],
-    [2022, 2244, 2250],
-    [2220, 2226, 2238, 2250, 2244, 2232],
-    [2017, 2227, 2239],
-    [2012, 2222, 2234],
-    [2024, 2246, 2251],
-    [2222, 2227, 2239, 2251, 2246, 2234],
-    [2023, 2245, 2252],
-    [2018, 2228, 2240],
-    [2011, 2221, 2233],
-    [2221, 2228, 2240, 2252, 2245, 2233],
-    [2019, 2229, 2241],
-    [2025, 2247, 2253],
-    [2013, 2223, 2235],
-    [2223, 2229, 2241, 2253, 2247, 2235],
-    [2020, 2230, 2242],
-    [2026, 2248, 2254],
-    [2014, 2224, 2236],
-    [2224, 2230, 2242, 2254, 2248, 2236],
-    [2021, 2231, 2243],
-    [2015, 2225, 2237],
-    [2027, 2249, 2255],
-    [2225, 2231, 2243, 2255, 2249, 2237],
-    [2031, 2262, 2268],
-    [2032, 2263, 2269],
-    [2028, 2256, 2257],
-    [2256, 2257, 2263, 2269, 2268, 2262],
-    [2029, 2258, 2259],
-    [2034, 2265, 2271],
-    [2033, 2264, 2270],
-    [2258, 2259, 2265, 2271, 2270, 2264],
-    [2036, 2267, 2273],
-    [2030, 2260, 2261],
-    [2035, 2266, 2272],
-    [2260, 2261, 2267, 2273, 2272, 2266],
-    [2038, 2275, 2277],
-    [2037, 2274, 2276],
-    [2039, 2278, 2279],
-    [2274, 2275, 2277, 2279, 2278, 2276],
-    [2281, 2401, 2581],
-    [2280, 2400, 2580],
-    [2040, 2041, 2281, 2581, 2580, 2280],
-    [2160, 2161, 2401, 2581, 2580, 2400],
-    [2042, 2043, 2284, 2583, 2582, 2282],
-    [2284, 2404, 2583],
-    [2162, 2164, 2404, 2583, 2582, 2402],
-    [2282, 2402, 2582],
-    [2044, 2045, 2285, 2585, 2584, 2283],
-    [2283, 2403, 2584],
-    [2285, 2405, 2585],
-    [2163, 2165, 2405, 2585, 2584, 2403],
-    [2046, 2052, 2292, 2592, 2586, 2286],
-    [2166, 2172, 2412, 2592, 2586, 2406],
-    [2286, 2406, 2586],
-    [2292, 2412, 2592],
-    [2047, 2053, 2293, 2593, 2587, 2287],
-    [2287, 2408, 2587],
-    [2293, 2414, 2593],
-    [2168, 2174, 2414, 2593, 2587, 2408],
-    [2288, 2407, 2588],
-    [2294, 2413, 2594],
-    [2048, 2054, 2294, 2594, 2588, 2288],
-    [2167, 2173, 2413, 2594, 2588, 2407],
-    [2049, 2055, 2295, 2595, 2589, 2289],
-    [2289, 2409, 2589],
-    [2295, 2415, 2595],
-    [2169, 2175, 2415, 2595, 2589, 2409],
-    [2050, 2056, 2296, 2596, 2590, 2290],
-    [2290, 2410, 2590],
-    [2296, 2416, 2596],
-    [2170, 2176, 2416, 2596, 2590, 2410],
-    [2051, 2057, 2297, 2597, 2591, 2291],
-    [2291, 2411, 2591],
-    [2171, 2177, 2417, 2597, 2591, 2411],
-    [2297, 2417, 2597],
-    [2304, 2430, 2604],
-    [2298, 2424, 2598],
-    [2058, 2064, 2304, 2604, 2598, 2298],
-    [2184, 2190, 2430, 2604, 2598, 2424],
-    [2059, 2065, 2305, 2605, 2599, 2299],
-    [2305, 2431, 2605],
-    [2299, 2425, 2599],
-    [2185, 2191, 2431, 2605, 2599, 2425],
-    [2310, 2418, 2610],
-    [2311, 2419, 2611],
-    [2070, 2071, 2311, 2611, 2610, 2310],
-    [2178, 2179, 2419, 2611, 2610, 2418],
-    [2313, 2421, 2613],
-    [2072, 2073, 2313, 2613, 2612, 2312],
-    [2180, 2181, 2421, 2613, 2612, 2420],
-    [2312, 2420, 2612],
-    [2060, 2066, 2306, 2606, 2600, 2300],
-    [2306, 2432, 2606],
-    [2300, 2426, 2600],
-    [2186, 2192, 2432, 2606, 2600, 2426],
-    [2061, 2067, 2307, 2607, 2601, 2302],
-    [2302, 2428, 2601],
-    [2307, 2433, 2607],
-    [2188, 2193, 2433, 2607, 2601, 2428],
-    [2062, 2068, 2308, 2608, 2602, 2301],
-    [2301, 2427, 2602],
-    [2308, 2434, 2608],
-    [2187, 2194, 2434, 2608, 2602, 2427],
-    [2303, 2429, 2603],
-    [2309, 2435, 2609],
-    [2063, 2069, 2309, 2609, 2603, 2303],
-    [2189, 2195, 2435, 2609, 2603, 2429],
-    [2315, 2423, 2615],
-    [2314, 2422, 2614],
-    [2074, 2075, 2315, 2615, 2614, 2314],
-    [2182, 2183, 2423, 2615, 2614, 2422],
-    [2076, 2082, 2323, 2622, 2616, 2316],
-    [2323, 2448, 2622],
-    [2196, 2208, 2448, 2622, 2616, 2436],
-    [2316, 2436, 2616],
-    [2326, 2449, 2624],
-    [2078, 2084, 2326, 2624, 2618, 2318],
-    [2197, 2209, 2449, 2624, 2618, 2437],
-    [2318, 2437, 2618],
-    [2077, 2083, 2325, 2623, 2617, 2317],
-    [2325, 2450, 2623],
-    [2317, 2438, 2617],
-    [2198, 2210, 2450, 2623, 2617, 2438],
-    [2328, 2451, 2625],
-    [2319, 2439, 2619],
-    [2079, 2085, 2328, 2625, 2619, 2319],
-    [2199, 2211, 2451, 2625, 2619, 2439],
-    [2080, 2086, 2331, 2626, 2620, 2320],
-    [2331, 2452, 2626],
-    [2320, 2440, 2620],
-    [2200, 2212, 2452, 2626, 2620, 2440],
-    [2081, 2087, 2333, 2627, 2621, 2321],
-    [2333, 2453, 2627],
-    [2201, 2213, 2453, 2627, 2621, 2441],
-    [2321, 2441, 2621],
-    [2088, 2094, 2340, 2634, 2628, 2322],
-    [2322, 2442, 2628],
-    [2340, 2454, 2634],
-    [2202, 2214, 2454, 2634, 2628, 2442],
-    [2089, 2096, 2341, 2635, 2629, 2324],
-    [2324, 2443, 2629],
-    [2341, 2455, 2635],
-    [2203, 2215, 2455, 2635, 2629, 2443],
-    [2204, 2216, 2456, 2636, 2630, 2444],
-    [2327, 2444, 2630],
-    [2342, 2456, 2636],
-    [2090, 2099, 2342, 2636, 2630, 2327],
-    [2329, 2445, 2631],
-    [2343, 2457, 2637],
-    [2091, 2101, 2343, 2637, 2631, 2329],
-    [2205, 2217, 2457, 2637, 2631, 2445],
-    [2092, 2102, 2344, 2638, 2632, 2330],
-    [2330, 2446, 2632],
-    [2344, 2458, 2638],
-    [2206, 2218, 2458, 2638, 2632, 2446],
-    [2093, 2104, 2345, 2639, 2633, 2332],
-    [2332, 2447, 2633],
-    [2345, 2459, 2639],
-    [2207, 2219, 2459, 2639, 2633, 2447],
-    [2095, 2106, 2347, 2646, 2640, 2334],
-    [2334, 2460, 2640],
-    [2347, 2472, 2646],
-    [2220, 2232, 2472, 2646, 2640, 2460],
-    [2097, 2107, 2349, 2647, 2641, 2335],
-    [2349, 2473, 2647],
-    [2335, 2461, 2641],
-    [2221, 2233, 2473, 2647, 2641, 2461],
-    [2350, 2474, 2648],
-    [2336, 2462, 2642],
-    [2098, 2108, 2350, 2648, 2642, 2336],
-    [2222, 2234, 2474, 2648, 2642, 2462],
-    [2223, 2235, 2475, 2649, 2643, 2463],
-    [2337, 2463, 2643],
-    [2352, 2475, 2649],
-    [2100, 2109, 2352, 2649, 2643, 2337],
-    [2103, 2110, 2355, 2650, 2644, 2338],
-    [2355, 2476, 2650],
-    [2338, 2464, 2644],
-    [2224, 2236, 2476, 2650, 2644, 2464],
-    [2105, 2111, 2357, 2651, 2645, 2339],
-    [2357, 2477, 2651],
-    [2339, 2465, 2645],
-    [2225, 2237, 2477, 2651, 2645, 2465],
-    [2112, 2118, 2358, 2658, 2652, 2346],
-    [2346, 2466, 2652],
-    [2226, 2238, 2478, 2658, 2652, 2466],
-    [2358, 2478, 2658],
-    [2113, 2119, 2359, 2659, 2653, 2348],
-    [2348, 2467, 2653],
-    [2359, 2479, 2659],
-    [2227, 2239, 2479, 2659, 2653, 2467],
-    [2351, 2468, 2654],
-    [2360, 2480, 2660],
-    [2114, 2120, 2360, 2660, 2654, 2351],
-    [2228, 2240, 2480, 2660, 2654, 2468],
-    [2116, 2122, 2362, 2662, 2656, 2354],
-    [2354, 2469, 2656],
-    [2362, 2481, 2662],
-    [2229, 2241, 2481, 2662, 2656, 2469],
-    [2353, 2470, 2655],
-    [2115, 2121, 2361, 2661, 2655, 2353],
-    [2230, 2242, 2482, 2661, 2655, 2470],
-    [2361, 2482, 2661],
-    [2117, 2123, 2363, 2663, 2657, 2356],
-    [2356, 2471, 2657],
-    [2231, 2243, 2483, 2663, 2657, 2471],
-    [2363, 2483, 2663],
-    [2364, 2496, 2664],
-    [2365, 2497, 2665],
-    [2124, 2125, 2365, 2665, 2664, 2364],
-    [2256, 2257, 2497, 2665, 2664, 2496],
-    [2376, 2490, 2676],
-    [2370, 2484, 2670],
-    [2130, 2136, 2376, 2676, 2670, 2370],
-    [2244, 2250, 2490, 2676, 2670, 2484],
-    [2131, 2137, 2378, 2677, 2671, 2371],
-    [2378, 2492, 2677],
-    [2371, 2485, 2671],
-    [2245, 2252, 2492, 2677, 2671, 2485],
-    [2132, 2138, 2377, 2678, 2672, 2372],
-    [2377, 2491, 2678],
-    [2372, 2486, 2672],
-    [2246, 2251, 2491, 2678, 2672, 2486],
-    [2133, 2139, 2379, 2679, 2673, 2373],
-    [2373, 2487, 2673],
-    [2379, 2493, 2679],
-    [2247, 2253, 2493, 2679, 2673, 2487],
-    [2366, 2498, 2666],
-    [2126, 2127, 2367, 2667, 2666, 2366],
-    [2258, 2259, 2499, 2667, 2666, 2498],
-    [2367, 2499, 2667],
-    [2369, 2501, 2669],
-    [2368, 2500, 2668],
-    [2128, 2129, 2369, 2669, 2668, 2368],
-    [2260, 2261, 2501, 2669, 2668, 2500],
-    [2134, 2140, 2380, 2680, 2674, 2374],
-    [2374, 2488, 2674],
-    [2380, 2494, 2680],
-    [2248, 2254, 2494, 2680, 2674, 2488],
-    [2375, 2489, 2675],
-    [2381, 2495, 2681],
-    [2135, 2141, 2381, 2681, 2675, 2375],
-    [2249, 2255, 2495, 2681, 2675, 2489],
-    [2142, 2148, 2388, 2688, 2682, 2382],
-    [2388, 2508, 2688],
-    [2262, 2268, 2508, 2688, 2682, 2502],
-    [2382, 2502, 2682],
-    [2143, 2149, 2389, 2689, 2683, 2383],
-    [2383, 2503, 2683],
-    [2389, 2509, 2689],
-    [2263, 2269, 2509, 2689, 2683, 2503],
-    [2144, 2150, 2390, 2690, 2684, 2384],
-    [2390, 2510, 2690],
-    [2384, 2504, 2684],
-    [2264, 2270, 2510, 2690, 2684, 2504],
-    [2391, 2512, 2691],
-    [2385, 2506, 2685],
-    [2145, 2151, 2391, 2691, 2685, 2385],
-    [2266, 2272, 2512, 2691, 2685, 2506],
-    [2146, 2152, 2392, 2692, 2686, 2386],
-    [2392, 2511, 2692],
-    [2386, 2505, 2686],
-    [2265, 2271, 2511, 2692, 2686, 2505],
-    [2147, 2153, 2393, 2693, 2687, 2387],
-    [2267, 2273, 2513, 2693, 2687, 2507],
-    [2387, 2507, 2687],
-    [2393, 2513, 2693],
-    [2154, 2155, 2396, 2695, 2694, 2394],
-    [2396, 2516, 2695],
-    [2394, 2514, 2694],
-    [2274, 2276, 2516, 2695, 2694, 2514],
-    [2156, 2157, 2397, 2697, 2696, 2395],
-    [2395, 2515, 2696],
-    [2275, 2277, 2517, 2697, 2696, 2515],
-    [2397, 2517, 2697],
-    [2398, 2518, 2698],
-    [2399, 2519, 2699],
-    [2158, 2159, 2399, 2699, 2698, 2398],
-    [2278, 2279, 2519, 2699, 2698, 2518],
-    [2293, 2299, 2599, 2749, 2743, 2593],
-    [2280, 2286, 2586, 2736, 2730, 2580],
-    [2292, 2298, 2598, 2748, 2742, 2592],
-    [2586, 2592, 2742, 2913, 2736],
-    [2281, 2287, 2587, 2737, 2731, 2581],
-    [2304, 2305, 2605, 2755, 2754, 2604],
-    [2587, 2593, 2743, 2914, 2737],
-    [2599, 2605, 2755, 2920, 2749],
-    [2580, 2581, 2731, 2910, 2730],
-    [2598, 2604, 2754, 2919, 2748],
-    [2730, 2736, 2913, 2973, 2970, 2910],
-    [2742, 2748, 2919, 2979, 2973, 2913],
-    [2743, 2749, 2920, 2980, 2974, 2914],
-    [2970, 2973, 2979, 2980, 2974],
-    [2731, 2737, 2914, 2974, 2970, 2910],
-    [2754, 2755, 2920, 2980, 2979, 2919],
-    [2284, 2290, 2590, 2740, 2733, 2583],
-    [2282, 2288, 2588, 2738, 2732, 2582],
-    [2306, 2307, 2607, 2757, 2756, 2606],
-    [2582, 2583, 2733, 2911, 2732],
-    [2590, 2596, 2746, 2917, 2740],
-    [2294, 2300, 2600, 2750, 2744, 2594],
-    [2296, 2302, 2601, 2751, 2746, 2596],
-    [2733, 2740, 2917, 2976, 2971, 2911],
-    [2588, 2594, 2744, 2915, 2738],
-    [2600, 2606, 2756, 2921, 2750],
-    [2732, 2738, 2915, 2975, 2971, 2911],
-    [2601, 2607, 2757, 2922, 2751],
-    [2971, 2975, 2981, 2982, 2976],
-    [2746, 2751, 2922, 2982, 2976, 2917],
-    [2756, 2757, 2922, 2982, 2981, 2921],
-    [2744, 2750, 2921, 2981, 2975, 2915],
-    [2285, 2291, 2591, 2741, 2735, 2585],
-    [2295, 2301, 2602, 2752, 2745, 2595],
-    [2297, 2303, 2603, 2753, 2747, 2597],
-    [2308, 2309, 2609, 2759, 2758, 2608],
-    [2591, 2597, 2747, 2918, 2741],
-    [2584, 2585, 2735, 2912, 2734],
-    [2602, 2608, 2758, 2923, 2752],
-    [2589, 2595, 2745, 2916, 2739],
-    [2735, 2741, 2918, 2978, 2972, 2912],
-    [2747, 2753, 2924, 2984, 2978, 2918],
-    [2283, 2289, 2589, 2739, 2734, 2584],
-    [2603, 2609, 2759, 2924, 2753],
-    [2745, 2752, 2923, 2983, 2977, 2916],
-    [2972, 2977, 2983, 2984, 2978],
-    [2734, 2739, 2916, 2977, 2972, 2912],
-    [2758, 2759, 2924, 2984, 2983, 2923],
-    [2323, 2334, 2640, 2784, 2772, 2622],
-    [2310, 2316, 2616, 2766, 2760, 2610],
-    [2325, 2335, 2641, 2785, 2773, 2623],
-    [2616, 2622, 2772, 2928, 2766],
-    [2311, 2317, 2617, 2767, 2761, 2611],
-    [2640, 2646, 2796, 2940, 2784],
-    [2347, 2349, 2647, 2797, 2796, 2646],
-    [2772, 2784, 2940, 2994, 2988, 2928],
-    [2610, 2611, 2761, 2925, 2760],
-    [2617, 2623, 2773, 2929, 2767],
-    [2760, 2766, 2928, 2988, 2985, 2925],
-    [2641, 2647, 2797, 2941, 2785],
-    [2985, 2988, 2994, 2995, 2989],
-    [2796, 2797, 2941, 2995, 2994, 2940],
-    [2773, 2785, 2941, 2995, 2989, 2929],
-    [2761, 2767, 2929, 2989, 2985, 2925],
-    [2312, 2318, 2618, 2768, 2762, 2612],
-    [2313, 2319, 2619, 2769, 2763, 2613],
-    [2326, 2336, 2642, 2786, 2774, 2624],
-    [2328, 2337, 2643, 2787, 2775, 2625],
-    [2350, 2352, 2649, 2799, 2798, 2648],
-    [2612, 2613, 2763, 2926, 2762],
-    [2618, 2624, 2774, 2930, 2768],
-    [2619, 2625, 2775, 2931, 2769],
-    [2642, 2648, 2798, 2942, 2786],
-    [2762, 2768, 2930, 2990, 2986, 2926],
-    [2763, 2769, 2931, 2991, 2986, 2926],
-    [2774, 2786, 2942, 2996, 2990, 2930],
-    [2986, 2990, 2996, 2997, 2991],
-    [2643, 2649, 2799, 2943, 2787],
-    [2775, 2787, 2943, 2997, 2991, 2931],
-    [2798, 2799, 2943, 2997, 2996, 2942],
-    [2333, 2339, 2645, 2789, 2777, 2627],
-    [2331, 2338, 2644, 2788, 2776, 2626],
-    [2315, 2321, 2621, 2771, 2765, 2615],
-    [2314, 2320, 2620, 2770, 2764, 2614],
-    [2621, 2627, 2777, 2933, 2771],
-    [2620, 2626, 2776, 2932, 2770],
-    [2645, 2651, 2801, 2945, 2789],
-    [2644, 2650, 2800, 2944, 2788],
-    [2777, 2789, 2945, 2999, 2993, 2933],
-    [2765, 2771, 2933, 2993, 2987, 2927],
-    [2355, 2357, 2651, 2801, 2800, 2650],
-    [2614, 2615, 2765, 2927, 2764],
-    [2776, 2788, 2944, 2998, 2992, 2932],
-    [2987, 2992, 2998, 2999, 2993],
-    [2800, 2801, 2945, 2999, 2998, 2944],
-    [2764, 2770, 2932, 2992, 2987, 2927],
-    [2340, 2346, 2652, 2802, 2790, 2634],
-    [2341, 2348, 2653, 2803, 2791, 2635],
-    [2358, 2364, 2664, 2814, 2808, 2658],
-    [2359, 2365, 2665, 2815, 2809, 2659],
-    [2652, 2658, 2808, 2946, 2802],
-    [2628, 2634, 2790, 2934, 2778],
-    [2653, 2659, 2809, 2947, 2803],
-    [2629, 2635, 2791, 2935, 2779],
-    [2790, 2802, 2946, 3006, 3000, 2934],
-    [2808, 2814, 2952, 3012, 3006, 2946],
-    [2322, 2324, 2629, 2779, 2778, 2628],
-    [2664, 2665, 2815, 2952, 2814],
-    [2791, 2803, 2947, 3007, 3001, 2935],
-    [3000, 3001, 3007, 3012, 3006],
-    [2778, 2779, 2935, 3001, 3000, 2934],
-    [2809, 2815, 2952, 3012, 3007, 2947],
-    [2361, 2367, 2667, 2817, 2811, 2661],
-    [2343, 2353, 2655, 2805, 2793, 2637],
-    [2360, 2366, 2666, 2816, 2810, 2660],
-    [2327, 2329, 2631, 2781, 2780, 2630],
-    [2342, 2351, 2654, 2804, 2792, 2636],
-    [2655, 2661, 2811, 2949, 2805],
-    [2666, 2667, 2817, 2953, 2816],
-    [2631, 2637, 2793, 2937, 2781],
-    [2654, 2660, 2810, 2948, 2804],
-    [2811, 2817, 2953, 3013, 3009, 2949],
-    [2793, 2805, 2949, 3009, 3003, 2937],
-    [2810, 2816, 2953, 3013, 3008, 2948],
-    [2630, 2636, 2792, 2936, 2780],
-    [3002, 3003, 3009, 3013, 3008],
-    [2780, 2781, 2937, 3003, 3002, 2936],
-    [2792, 2804, 2948, 3008, 3002, 2936],
-    [2345, 2356, 2657, 2807, 2795, 2639],
-    [2363, 2369, 2669, 2819, 2813, 2663],
-    [2344, 2354, 2656, 2806, 2794, 2638],
-    [2657, 2663, 2813, 2951, 2807],
-    [2633, 2639, 2795, 2939, 2783],
-    [2362, 2368, 2668, 2818, 2812, 2662],
-    [2330, 2332, 2633, 2783, 2782, 2632],
-    [2795, 2807, 2951, 3011, 3005, 2939],
-    [2656, 2662, 2812, 2950, 2806],
-    [2668, 2669, 2819, 2954, 2818],
-    [2813, 2819, 2954, 3014, 3011, 2951],
-    [2632, 2638, 2794, 2938, 2782],
-    [3004, 3005, 3011, 3014, 3010],
-    [2782, 2783, 2939, 3005, 3004, 2938],
-    [2794, 2806, 2950, 3010, 3004, 2938],
-    [2812, 2818, 2954, 3014, 3010, 2950],
-    [2388, 2394, 2694, 2844, 2838, 2688],
-    [2378, 2384, 2684, 2834, 2827, 2677],
-    [2376, 2382, 2682, 2832, 2826, 2676],
-    [2370, 2371, 2671, 2821, 2820, 2670],
-    [2682, 2688, 2838, 2961, 2832],
-    [2671, 2677, 2827, 2956, 2821],
-    [2694, 2695, 2845, 2967, 2844],
-    [2684, 2690, 2840, 2963, 2834],
-    [2838, 2844, 2967, 3027, 3021, 2961],
-    [2826, 2832, 2961, 3021, 3015, 2955],
-    [2390, 2396, 2695, 2845, 2840, 2690],
-    [2670, 2676, 2826, 2955, 2820],
-    [2827, 2834, 2963, 3022, 3016, 2956],
-    [3015, 3016, 3022, 3027, 3021],
-    [2840, 2845, 2967, 3027, 3022, 2963],
-    [2820, 2821, 2956, 3016, 3015, 2955],
-    [2389, 2395, 2696, 2846, 2839, 2689],
-    [2391, 2397, 2697, 2847, 2841, 2691],
-    [2372, 2373, 2673, 2823, 2822, 2672],
-    [2696, 2697, 2847, 2968, 2846],
-    [2379, 2385, 2685, 2835, 2829, 2679],
-    [2683, 2689, 2839, 2962, 2833],
-    [2377, 2383, 2683, 2833, 2828, 2678],
-    [2839, 2846, 2968, 3028, 3023, 2962],
-    [2673, 2679, 2829, 2958, 2823],
-    [2685, 2691, 2841, 2964, 2835],
-    [2841, 2847, 2968, 3028, 3024, 2964],
-    [2672, 2678, 2828, 2957, 2822],
-    [3017, 3018, 3024, 3028, 3023],
-    [2828, 2833, 2962, 3023, 3017, 2957],
-    [2822, 2823, 2958, 3018, 3017, 2957],
-    [2829, 2835, 2964, 3024, 3018, 2958],
-    [2380, 2386, 2686, 2836, 2830, 2680],
-    [2381, 2387, 2687, 2837, 2831, 2681],
-    [2393, 2399, 2699, 2849, 2843, 2693],
-    [2687, 2693, 2843, 2966, 2837],
-    [2374, 2375, 2675, 2825, 2824, 2674],
-    [2392, 2398, 2698, 2848, 2842, 2692],
-    [2674, 2680, 2830, 2959, 2824],
-    [2686, 2692, 2842, 2965, 2836],
-    [2675, 2681, 2831, 2960, 2825],
-    [2698, 2699, 2849, 2969, 2848],
-    [2831, 2837, 2966, 3026, 3020, 2960],
-    [2843, 2849, 2969, 3029, 3026, 2966],
-    [2830, 2836, 2965, 3025, 3019, 2959],
-    [3019, 3020, 3026, 3029, 3025],
-    [2824, 2825, 2960, 3020, 3019, 2959],
-    [2842, 2848, 2969, 3029, 3025, 2965],
-    [2520, 2523, 2700],
-    [2406, 2523, 2700, 2850, 2736, 2586],
-    [2400, 2520, 2700, 2850, 2730, 2580],
-    [2730, 2736, 2850],
-    [2521, 2524, 2701],
-    [2401, 2521, 2701, 2852, 2731, 2581],
-    [2408, 2524, 2701, 2852, 2737, 2587],
-    [2731, 2737, 2852],
-    [2402, 2520, 2700, 2851, 2732, 2582],
-    [2407, 2523, 2700, 2851, 2738, 2588],
-    [2732, 2738, 2851],
-    [2403, 2521, 2701, 2853, 2734, 2584],
-    [2409, 2524, 2701, 2853, 2739, 2589],
-    [2734, 2739, 2853],
-    [2522, 2525, 2702],
-    [2404, 2522, 2702, 2854, 2733, 2583],
-    [2733, 2740, 2854],
-    [2410, 2525, 2702, 2854, 2740, 2590],
-    [2405, 2522, 2702, 2855, 2735, 2585],
-    [2411, 2525, 2702, 2855, 2741, 2591],
-    [2735, 2741, 2855],
-    [2526, 2532, 2703],
-    [2412, 2526, 2703, 2856, 2742, 2592],
-    [2424, 2532, 2703, 2856, 2748, 2598],
-    [2742, 2748, 2856],
-    [2528, 2533, 2704],
-    [2743, 2749, 2857],
-    [2414, 2528, 2704, 2857, 2743, 2593],
-    [2425, 2533, 2704, 2857, 2749, 2599],
-    [2527, 2534, 2705],
-    [2413, 2527, 2705, 2858, 2744, 2594],
-    [2426, 2534, 2705, 2858, 2750, 2600],
-    [2744, 2750, 2858],
-    [2529, 2535, 2706],
-    [2745, 2752, 2859],
-    [2427, 2535, 2706, 2859, 2752, 2602],
-    [2415, 2529, 2706, 2859, 2745, 2595],
-    [2530, 2536, 2707],
-    [2416, 2530, 2707, 2860, 2746, 2596],
-    [2428, 2536, 2707, 2860, 2751, 2601],
-    [2746, 2751, 2860],
-    [2531, 2537, 2708],
-    [2417, 2531, 2708, 2861, 2747, 2597],
-    [2429, 2537, 2708, 2861, 2753, 2603],
-    [2747, 2753, 2861],
-    [2538, 2539, 2709],
-    [2430, 2538, 2709, 2868, 2754, 2604],
-    [2431, 2539, 2709, 2868, 2755, 2605],
-    [2754, 2755, 2868],
-    [2436, 2532, 2703, 2862, 2766, 2616],
-    [2418, 2526, 2703, 2862, 2760, 2610],
-    [2760, 2766, 2862],
-    [2419, 2527, 2705, 2863, 2761, 2611],
-    [2438, 2534, 2705, 2863, 2767, 2617],
-    [2761, 2767, 2863],
-    [2420, 2528, 2704, 2864, 2762, 2612],
-    [2437, 2533, 2704, 2864, 2768, 2618],
-    [2762, 2768, 2864],
-    [2421, 2529, 2706, 2865, 2763, 2613],
-    [2439, 2535, 2706, 2865, 2769, 2619],
-    [2763, 2769, 2865],
-    [2540, 2541, 2710],
-    [2756, 2757, 2869],
-    [2433, 2541, 2710, 2869, 2757, 2607],
-    [2432, 2540, 2710, 2869, 2756, 2606],
-    [2542, 2543, 2711],
-    [2435, 2543, 2711, 2870, 2759, 2609],
-    [2434, 2542, 2711, 2870, 2758, 2608],
-    [2758, 2759, 2870],
-    [2422, 2530, 2707, 2866, 2764, 2614],
-    [2440, 2536, 2707, 2866, 2770, 2620],
-    [2764, 2770, 2866],
-    [2441, 2537, 2708, 2867, 2771, 2621],
-    [2423, 2531, 2708, 2867, 2765, 2615],
-    [2765, 2771, 2867],
-    [2442, 2538, 2709, 2871, 2778, 2628],
-    [2443, 2539, 2709, 2871, 2779, 2629],
-    [2778, 2779, 2871],
-    [2445, 2541, 2710, 2872, 2781, 2631],
-    [2444, 2540, 2710, 2872, 2780, 2630],
-    [2780, 2781, 2872],
-    [2447, 2543, 2711, 2873, 2783, 2633],
-    [2446, 2542, 2711, 2873, 2782, 2632],
-    [2782, 2783, 2873],
-    [2544, 2550, 2712],
-    [2448, 2544, 2712, 2874, 2772, 2622],
-    [2772, 2784, 2874],
-    [2460, 2550, 2712, 2874, 2784, 2640],
-    [2545, 2551, 2713],
-    [2449, 2545, 2713, 2875, 2774, 2624],
-    [2462, 2551, 2713, 2875, 2786, 2642],
-    [2774, 2786, 2875],
-    [2546, 2552, 2714],
-    [2773, 2785, 2876],
-    [2461, 2552, 2714, 2876, 2785, 2641],
-    [2450, 2546, 2714, 2876, 2773, 2623],
-    [2547, 2553, 2715],
-    [2451, 2547, 2715, 2877, 2775, 2625],
-    [2463, 2553, 2715, 2877, 2787, 2643],
-    [2775, 2787, 2877],
-    [2548, 2554, 2716],
-    [2776, 2788, 2878],
-    [2452, 2548, 2716, 2878, 2776, 2626],
-    [2464, 2554, 2716, 2878, 2788, 2644],
-    [2549, 2555, 2717],
-    [2453, 2549, 2717, 2879, 2777, 2627],
-    [2465, 2555, 2717, 2879, 2789, 2645],
-    [2777, 2789, 2879],
-    [2466, 2550, 2712, 2880, 2802, 2652],
-    [2454, 2544, 2712, 2880, 2790, 2634],
-    [2790, 2802, 2880],
-    [2791, 2803, 2881],
-    [2467, 2551, 2713, 2881, 2803, 2653],
-    [2455, 2545, 2713, 2881, 2791, 2635],
-    [2468, 2552, 2714, 2882, 2804, 2654],
-    [2456, 2546, 2714, 2882, 2792, 2636],
-    [2792, 2804, 2882],
-    [2794, 2806, 2883],
-    [2458, 2547, 2715, 2883, 2794, 2638],
-    [2469, 2553, 2715, 2883, 2806, 2656],
-    [2470, 2554, 2716, 2884, 2805, 2655],
-    [2457, 2548, 2716, 2884, 2793, 2637],
-    [2793, 2805, 2884],
-    [2471, 2555, 2717, 2885, 2807, 2657],
-    [2795, 2807, 2885],
-    [2459, 2549, 2717, 2885, 2795, 2639],
-    [2556, 2557, 2718],
-    [2472, 2556, 2718, 2886, 2796, 2646],
-    [2473, 2557, 2718, 2886, 2797, 2647],
-    [2796, 2797, 2886],
-    [2558, 2559, 2719],
-    [2474, 2558, 2719, 2887, 2798, 2648],
-    [2475, 2559, 2719, 2887, 2799, 2649],
-    [2798, 2799, 2887],
-    [2560, 2561, 2720],
-    [2477, 2561, 2720, 2888, 2801, 2651],
-    [2476, 2560, 2720, 2888, 2800, 2650],
-    [2800, 2801, 2888],
-    [2562, 2568, 2721],
-    [2478, 2562, 2721, 2892, 2808, 2658],
-    [2496, 2568, 2721, 2892, 2814, 2664],
-    [2808, 2814, 2892],
-    [2563, 2569, 2722],
-    [2497, 2569, 2722, 2893, 2815, 2665],
-    [2479, 2563, 2722, 2893, 2809, 2659],
-    [2809, 2815, 2893],
-    [2484, 2556, 2718, 2889, 2820, 2670],
-    [2485, 2557, 2718, 2889, 2821, 2671],
-    [2820, 2821, 2889],
-    [2822, 2823, 2890],
-    [2486, 2558, 2719, 2890, 2822, 2672],
-    [2487, 2559, 2719, 2890, 2823, 2673],
-    [2564, 2570, 2723],
-    [2498, 2570, 2723, 2894, 2816, 2666],
-    [2480, 2564, 2723, 2894, 2810, 2660],
-    [2810, 2816, 2894],
-    [2566, 2571, 2725],
-    [2482, 2566, 2725, 2895, 2811, 2661],
-    [2499, 2571, 2725, 2895, 2817, 2667],
-    [2811, 2817, 2895],
-    [2565, 2572, 2724],
-    [2500, 2572, 2724, 2896, 2818, 2668],
-    [2481, 2565, 2724, 2896, 2812, 2662],
-    [2812, 2818, 2896],
-    [2567, 2573, 2726],
-    [2483, 2567, 2726, 2897, 2813, 2663],
-    [2501, 2573, 2726, 2897, 2819, 2669],
-    [2813, 2819, 2897],
-    [2489, 2561, 2720, 2891, 2825, 2675],
-    [2488, 2560, 2720, 2891, 2824, 2674],
-    [2824, 2825, 2891],
-    [2502, 2568, 2721, 2898, 2832, 2682],
-    [2490, 2562, 2721, 2898, 2826, 2676],
-    [2826, 2832, 2898],
-    [2503, 2569, 2722, 2899, 2833, 2683],
-    [2491, 2563, 2722, 2899, 2828, 2678],
-    [2828, 2833, 2899],
-    [2827, 2834, 2900],
-    [2492, 2564, 2723, 2900, 2827, 2677],
-    [2504, 2570, 2723, 2900, 2834, 2684],
-    [2506, 2572, 2724, 2901, 2835, 2685],
-    [2493, 2565, 2724, 2901, 2829, 2679],
-    [2829, 2835, 2901],
-    [2830, 2836, 2902],
-    [2494, 2566, 2725, 2902, 2830, 2680],
-    [2505, 2571, 2725, 2902, 2836, 2686],
-    [2507, 2573, 2726, 2903, 2837, 2687],
-    [2495, 2567, 2726, 2903, 2831, 2681],
-    [2831, 2837, 2903],
-    [2574, 2577, 2727],
-    [2514, 2577, 2727, 2904, 2844, 2694],
-    [2508, 2574, 2727, 2904, 2838, 2688],
-    [2838, 2844, 2904],
-    [2515, 2577, 2727, 2905, 2846, 2696],
-    [2839, 2846, 2905],
-    [2509, 2574, 2727, 2905, 2839, 2689],
-    [2575, 2578, 2728],
-    [2516, 2578, 2728, 2906, 2845, 2695],
-    [2510, 2575, 2728, 2906, 2840, 2690],
-    [2840, 2845, 2906],
-    [2576, 2579, 2729],
-    [2517, 2579, 2729, 2908, 2847, 2697],
-    [2512, 2576, 2729, 2908, 2841, 2691],
-    [2841, 2847, 2908],
-    [2518, 2578, 2728, 2907, 2848, 2698],
-    [2511, 2575, 2728, 2907, 2842, 2692],
-    [2842, 2848, 2907],
-    [2513, 2576, 2729, 2909, 2843, 2693],
-    [2519, 2579, 2729, 2909, 2849, 2699],
-    [2843, 2849, 2909],
-    [2701, 2852, 3032, 3033, 2853],
-    [2700, 2850, 3030, 3031, 2851],
-    [2702, 2854, 3034, 3035, 2855],
-    [2730, 2850, 3030, 3150, 3090, 2910],
-    [2732, 2851, 3031, 3152, 3091, 2911],
-    [2734, 2853, 3033, 3153, 3092, 2912],
-    [2733, 2854, 3034, 3154, 3091, 2911],
-    [2731, 2852, 3032, 3151, 3090, 2910],
-    [2735, 2855, 3035, 3155, 3092, 2912],
-    [3032, 3033, 3153, 3273, 3271, 3151],
-    [3091, 3152, 3272, 3274, 3154],
-    [3270, 3271, 3273, 3275, 3274, 3272],
-    [3030, 3031, 3152, 3272, 3270, 3150],
-    [3092, 3153, 3273, 3275, 3155],
-    [3034, 3035, 3155, 3275, 3274, 3154],
-    [3090, 3150, 3270, 3271, 3151],
-    [2705, 2858, 3038, 3043, 2863],
-    [2703, 2856, 3036, 3042, 2862],
-    [2736, 2850, 3030, 3156, 3093, 2913],
-    [2742, 2856, 3036, 3162, 3093, 2913],
-    [2744, 2858, 3038, 3164, 3095, 2915],
-    [2761, 2863, 3043, 3177, 3105, 2925],
-    [3105, 3176, 3288, 3289, 3177],
-    [3095, 3158, 3277, 3283, 3164],
-    [3093, 3156, 3276, 3282, 3162],
-    [3030, 3031, 3158, 3277, 3276, 3156],
-    [3036, 3042, 3176, 3288, 3282, 3162],
-    [3038, 3043, 3177, 3289, 3283, 3164],
-    [2738, 2851, 3031, 3158, 3095, 2915],
-    [2760, 2862, 3042, 3176, 3105, 2925],
-    [3276, 3277, 3283, 3289, 3288, 3282],
-    [2704, 2857, 3037, 3044, 2864],
-    [2706, 2859, 3039, 3045, 2865],
-    [2737, 2852, 3032, 3157, 3094, 2914],
-    [2739, 2853, 3033, 3159, 3096, 2916],
-    [2743, 2857, 3037, 3163, 3094, 2914],
-    [2763, 2865, 3045, 3179, 3106, 2926],
-    [2762, 2864, 3044, 3178, 3106, 2926],
-    [2745, 2859, 3039, 3165, 3096, 2916],
-    [3032, 3033, 3159, 3279, 3278, 3157],
-    [3106, 3178, 3290, 3291, 3179],
-    [3094, 3157, 3278, 3284, 3163],
-    [3096, 3159, 3279, 3285, 3165],
-    [3278, 3279, 3285, 3291, 3290, 3284],
-    [3037, 3044, 3178, 3290, 3284, 3163],
-    [3039, 3045, 3179, 3291, 3285, 3165],
-    [2707, 2860, 3040, 3046, 2866],
-    [2708, 2861, 3041, 3047, 2867],
-    [2747, 2861, 3041, 3167, 3098, 2918],
-    [2741, 2855, 3035, 3161, 3098, 2918],
-    [2746, 2860, 3040, 3166, 3097, 2917],
-    [2764, 2866, 3046, 3184, 3107, 2927],
-    [3107, 3184, 3292, 3293, 3185],
-    [2740, 2854, 3034, 3160, 3097, 2917],
-    [2765, 2867, 3047, 3185, 3107, 2927],
-    [3098, 3161, 3281, 3287, 3167],
-    [3041, 3047, 3185, 3293, 3287, 3167],
-    [3040, 3046, 3184, 3292, 3286, 3166],
-    [3034, 3035, 3161, 3281, 3280, 3160],
-    [3097, 3160, 3280, 3286, 3166],
-    [3280, 3281, 3287, 3293, 3292, 3286],
-    [2709, 2868, 3048, 3051, 2871],
-    [2712, 2874, 3054, 3060, 2880],
-    [2766, 2862, 3042, 3186, 3108, 2928],
-    [2778, 2871, 3051, 3192, 3114, 2934],
-    [2772, 2874, 3054, 3198, 3108, 2928],
-    [2748, 2856, 3036, 3168, 3099, 2919],
-    [2754, 2868, 3048, 3174, 3099, 2919],
-    [2790, 2880, 3060, 3204, 3114, 2934],
-    [3048, 3051, 3192, 3312, 3300, 3174],
-    [3108, 3186, 3306, 3318, 3198],
-    [3294, 3300, 3312, 3324, 3318, 3306],
-    [3036, 3042, 3186, 3306, 3294, 3168],
-    [3114, 3192, 3312, 3324, 3204],
-    [3054, 3060, 3204, 3324, 3318, 3198],
-    [3099, 3168, 3294, 3300, 3174],
-    [2713, 2875, 3055, 3061, 2881],
-    [2755, 2868, 3048, 3175, 3100, 2920],
-    [2779, 2871, 3051, 3193, 3115, 2935],
-    [2749, 2857, 3037, 3169, 3100, 2920],
-    [2774, 2875, 3055, 3199, 3110, 2930],
-    [2768, 2864, 3044, 3188, 3110, 2930],
-    [2791, 2881, 3061, 3205, 3115, 2935],
-    [3048, 3051, 3193, 3313, 3301, 3175],
-    [3110, 3188, 3307, 3319, 3199],
-    [3100, 3169, 3295, 3301, 3175],
-    [3115, 3193, 3313, 3325, 3205],
-    [3295, 3301, 3313, 3325, 3319, 3307],
-    [3037, 3044, 3188, 3307, 3295, 3169],
-    [3055, 3061, 3205, 3325, 3319, 3199],
-    [2710, 2869, 3049, 3052, 2872],
-    [2714, 2876, 3056, 3062, 2882],
-    [2750, 2858, 3038, 3170, 3101, 2921],
-    [2767, 2863, 3043, 3187, 3109, 2929],
-    [2756, 2869, 3049, 3180, 3101, 2921],
-    [2773, 2876, 3056, 3200, 3109, 2929],
-    [3038, 3043, 3187, 3308, 3296, 3170],
-    [3101, 3170, 3296, 3302, 3180],
-    [3109, 3187, 3308, 3320, 3200],
-    [3296, 3302, 3314, 3326, 3320, 3308],
-    [3049, 3052, 3194, 3314, 3302, 3180],
-    [3056, 3062, 3206, 3326, 3320, 3200],
-    [3116, 3194, 3314, 3326, 3206],
-    [2780, 2872, 3052, 3194, 3116, 2936],
-    [2792, 2882, 3062, 3206, 3116, 2936],
-    [2711, 2870, 3050, 3053, 2873],
-    [2715, 2877, 3057, 3063, 2883],
-    [2758, 2870, 3050, 3182, 3103, 2923],
-    [2752, 2859, 3039, 3171, 3103, 2923],
-    [2782, 2873, 3053, 3196, 3118, 2938],
-    [3050, 3053, 3196, 3316, 3304, 3182],
-    [2794, 2883, 3063, 3208, 3118, 2938],
-    [3103, 3171, 3297, 3304, 3182],
-    [2775, 2877, 3057, 3201, 3111, 2931],
-    [3118, 3196, 3316, 3328, 3208],
-    [3039, 3045, 3189, 3309, 3297, 3171],
-    [3297, 3304, 3316, 3328, 3321, 3309],
-    [3057, 3063, 3208, 3328, 3321, 3201],
-    [3111, 3189, 3309, 3321, 3201],
-    [2769, 2865, 3045, 3189, 3111, 2931],
-    [2716, 2878, 3058, 3064, 2884],
-    [2770, 2866, 3046, 3190, 3112, 2932],
-    [2751, 2860, 3040, 3172, 3102, 2922],
-    [2776, 2878, 3058, 3202, 3112, 2932],
-    [3040, 3046, 3190, 3310, 3298, 3172],
-    [2757, 2869, 3049, 3181, 3102, 2922],
-    [3112, 3190, 3310, 3322, 3202],
-    [2781, 2872, 3052, 3195, 3117, 2937],
-    [3102, 3172, 3298, 3303, 3181],
-    [3058, 3064, 3207, 3327, 3322, 3202],
-    [3298, 3303, 3315, 3327, 3322, 3310],
-    [3049, 3052, 3195, 3315, 3303, 3181],
-    [3117, 3195, 3315, 3327, 3207],
-    [2793, 2884, 3064, 3207, 3117, 2937],
-    [2717, 2879, 3059, 3065, 2885],
-    [2771, 2867, 3047, 3191, 3113, 2933],
-    [2777, 2879, 3059, 3203, 3113, 2933],
-    [2783, 2873, 3053, 3197, 3119, 2939],
-    [2759, 2870, 3050, 3183, 3104, 2924],
-    [3104, 3173, 3299, 3305, 3183],
-    [2795, 2885, 3065, 3209, 3119, 2939],
-    [2753, 2861, 3041, 3173, 3104, 2924],
-    [3113, 3191, 3311, 3323, 3203],
-    [3041, 3047, 3191, 3311, 3299, 3173],
-    [3050, 3053, 3197, 3317, 3305, 3183],
-    [3059, 3065, 3209, 3329, 3323, 3203],
-    [3119, 3197, 3317, 3329, 3209],
-    [3299, 3305, 3317, 3329, 3323, 3311],
-    [2718, 2886, 3066, 3069, 2889],
-    [2721, 2892, 3072, 3078, 2898],
-    [2808, 2892, 3072, 3228, 3126, 2946],
-    [2802, 2880, 3060, 3216, 3126, 2946],
-    [2796, 2886, 3066, 3222, 3120, 2940],
-    [2820, 2889, 3069, 3236, 3135, 2955],
-    [3135, 3236, 3354, 3360, 3246],
-    [2784, 2874, 3054, 3210, 3120, 2940],
-    [2826, 2898, 3078, 3246, 3135, 2955],
-    [3126, 3216, 3336, 3348, 3228],
-    [3072, 3078, 3246, 3360, 3348, 3228],
-    [3066, 3069, 3236, 3354, 3342, 3222],
-    [3054, 3060, 3216, 3336, 3330, 3210],
-    [3120, 3210, 3330, 3342, 3222],
-    [3330, 3336, 3348, 3360, 3354, 3342],
-    [2719, 2887, 3067, 3070, 2890],
-    [2722, 2893, 3073, 3079, 2899],
-    [2809, 2893, 3073, 3229, 3127, 2947],
-    [2803, 2881, 3061, 3217, 3127, 2947],
-    [2828, 2899, 3079, 3247, 3137, 2957],
-    [3073, 3079, 3247, 3361, 3349, 3229],
-    [2822, 2890, 3070, 3238, 3137, 2957],
-    [3127, 3217, 3337, 3349, 3229],
-    [2798, 2887, 3067, 3224, 3122, 2942],
-    [3137, 3238, 3356, 3361, 3247],
-    [3055, 3061, 3217, 3337, 3332, 3212],
-    [3332, 3337, 3349, 3361, 3356, 3344],
-    [3067, 3070, 3238, 3356, 3344, 3224],
-    [3122, 3212, 3332, 3344, 3224],
-    [2786, 2875, 3055, 3212, 3122, 2942],
-    [2723, 2894, 3074, 3080, 2900],
-    [2821, 2889, 3069, 3237, 3136, 2956],
-    [2797, 2886, 3066, 3223, 3121, 2941],
-    [2827, 2900, 3080, 3248, 3136, 2956],
-    [3066, 3069, 3237, 3355, 3343, 3223],
-    [2785, 2876, 3056, 3211, 3121, 2941],
-    [3136, 3237, 3355, 3362, 3248],
-    [2804, 2882, 3062, 3218, 3128, 2948],
-    [3121, 3211, 3331, 3343, 3223],
-    [3074, 3080, 3248, 3362, 3350, 3230],
-    [3331, 3338, 3350, 3362, 3355, 3343],
-    [3056, 3062, 3218, 3338, 3331, 3211],
-    [3128, 3218, 3338, 3350, 3230],
-    [2810, 2894, 3074, 3230, 3128, 2948],
-    [2724, 2896, 3076, 3081, 2901],
-    [2812, 2896, 3076, 3232, 3130, 2950],
-    [2829, 2901, 3081, 3249, 3138, 2958],
-    [2806, 2883, 3063, 3219, 3130, 2950],
-    [2823, 2890, 3070, 3239, 3138, 2958],
-    [3076, 3081, 3249, 3363, 3351, 3232],
-    [3130, 3219, 3339, 3351, 3232],
-    [3138, 3239, 3357, 3363, 3249],
-    [3333, 3339, 3351, 3363, 3357, 3345],
-    [3057, 3063, 3219, 3339, 3333, 3213],
-    [3067, 3070, 3239, 3357, 3345, 3225],
-    [3123, 3213, 3333, 3345, 3225],
-    [2787, 2877, 3057, 3213, 3123, 2943],
-    [2799, 2887, 3067, 3225, 3123, 2943],
-    [2720, 2888, 3068, 3071, 2891],
-    [2725, 2895, 3075, 3082, 2902],
-    [2824, 2891, 3071, 3244, 3139, 2959],
-    [2800, 2888, 3068, 3226, 3124, 2944],
-    [2830, 2902, 3082, 3250, 3139, 2959],
-    [2805, 2884, 3064, 3220, 3129, 2949],
-    [2811, 2895, 3075, 3231, 3129, 2949],
-    [2788, 2878, 3058, 3214, 3124, 2944],
-    [3068, 3071, 3244, 3358, 3346, 3226],
-    [3129, 3220, 3340, 3352, 3231],
-    [3139, 3244, 3358, 3364, 3250],
-    [3124, 3214, 3334, 3346, 3226],
-    [3334, 3340, 3352, 3364, 3358, 3346],
-    [3075, 3082, 3250, 3364, 3352, 3231],
-    [3058, 3064, 3220, 3340, 3334, 3214],
-    [2726, 2897, 3077, 3083, 2903],
-    [2813, 2897, 3077, 3233, 3131, 2951],
-    [2807, 2885, 3065, 3221, 3131, 2951],
-    [2801, 2888, 3068, 3227, 3125, 2945],
-    [2831, 2903, 3083, 3251, 3140, 2960],
-    [2825, 2891, 3071, 3245, 3140, 2960],
-    [2789, 2879, 3059, 3215, 3125, 2945],
-    [3068, 3071, 3245, 3359, 3347, 3227],
-    [3131, 3221, 3341, 3353, 3233],
-    [3335, 3341, 3353, 3365, 3359, 3347],
-    [3077, 3083, 3251, 3365, 3353, 3233],
-    [3125, 3215, 3335, 3347, 3227],
-    [3059, 3065, 3221, 3341, 3335, 3215],
-    [3140, 3245, 3359, 3365, 3251],
-    [2727, 2904, 3084, 3085, 2905],
-    [2832, 2898, 3078, 3252, 3141, 2961],
-    [2838, 2904, 3084, 3258, 3141, 2961],
-    [2833, 2899, 3079, 3253, 3142, 2962],
-    [2815, 2893, 3073, 3235, 3132, 2952],
-    [3132, 3234, 3366, 3367, 3235],
-    [2839, 2905, 3085, 3259, 3142, 2962],
-    [2814, 2892, 3072, 3234, 3132, 2952],
-    [3141, 3252, 3372, 3378, 3258],
-    [3072, 3078, 3252, 3372, 3366, 3234],
-    [3073, 3079, 3253, 3373, 3367, 3235],
-    [3084, 3085, 3259, 3379, 3378, 3258],
-    [3142, 3253, 3373, 3379, 3259],
-    [3366, 3367, 3373, 3379, 3378, 3372],
-    [2728, 2906, 3086, 3087, 2907],
-    [2842, 2907, 3087, 3262, 3145, 2965],
-    [2840, 2906, 3086, 3260, 3143, 2963],
-    [2836, 2902, 3082, 3256, 3145, 2965],
-    [2816, 2894, 3074, 3240, 3133, 2953],
-    [2817, 2895, 3075, 3241, 3133, 2953],
-    [2834, 2900, 3080, 3254, 3143, 2963],
-    [3086, 3087, 3262, 3381, 3380, 3260],
-    [3133, 3240, 3368, 3369, 3241],
-    [3145, 3256, 3375, 3381, 3262],
-    [3143, 3254, 3374, 3380, 3260],
-    [3368, 3369, 3375, 3381, 3380, 3374],
-    [3075, 3082, 3256, 3375, 3369, 3241],
-    [3074, 3080, 3254, 3374, 3368, 3240],
-    [2729, 2908, 3088, 3089, 2909],
-    [2837, 2903, 3083, 3257, 3146, 2966],
-    [2843, 2909, 3089, 3263, 3146, 2966],
-    [2818, 2896, 3076, 3242, 3134, 2954],
-    [2835, 2901, 3081, 3255, 3144, 2964],
-    [3134, 3242, 3370, 3371, 3243],
-    [3144, 3255, 3376, 3382, 3261],
-    [3146, 3257, 3377, 3383, 3263],
-    [3077, 3083, 3257, 3377, 3371, 3243],
-    [3088, 3089, 3263, 3383, 3382, 3261],
-    [3076, 3081, 3255, 3376, 3370, 3242],
-    [2819, 2897, 3077, 3243, 3134, 2954],
-    [2841, 2908, 3088, 3261, 3144, 2964],
-    [3370, 3371, 3377, 3383, 3382, 3376],
-    [2849, 2909, 3089, 3269, 3149, 2969],
-    [2847, 2908, 3088, 3267, 3148, 2968],
-    [2846, 2905, 3085, 3265, 3148, 2968],
-    [2845, 2906, 3086, 3266, 3147, 2967],
-    [2848, 2907, 3087, 3268, 3149, 2969],
-    [2844, 2904, 3084, 3264, 3147, 2967],
-    [3086, 3087, 3268, 3388, 3386, 3266],
-    [3148, 3265, 3385, 3387, 3267],
-    [3384, 3385, 3387, 3389, 3388, 3386],
-    [3088, 3089, 3269, 3389, 3387, 3267],
-    [3147, 3264, 3384, 3386, 3266],
-    [3084, 3085, 3265, 3385, 3384, 3264],
-    [3149, 3268, 3388, 3389, 3269],
-    [2910, 2970, 3090],
-    [2913, 2973, 3093],
-    [3030, 3150, 3156],
-    [2970, 2973, 3093, 3156, 3150, 3090],
-    [2914, 2974, 3094],
-    [3032, 3151, 3157],
-    [2970, 2974, 3094, 3157, 3151, 3090],
-    [2911, 2971, 3091],
-    [2915, 2975, 3095],
-    [3031, 3152, 3158],
-    [2971, 2975, 3095, 3158, 3152, 3091],
-    [2912, 2972, 3092],
-    [2916, 2977, 3096],
-    [3033, 3153, 3159],
-    [2972, 2977, 3096, 3159, 3153, 3092],
-    [2917, 2976, 3097],
-    [3034, 3154, 3160],
-    [2971, 2976, 3097, 3160, 3154, 3091],
-    [2918, 2978, 3098],
-    [3035, 3155, 3161],
-    [2972, 2978, 3098, 3161, 3155, 3092],
-    [2919, 2979, 3099],
-    [3036, 3162, 3168],
-    [2973, 2979, 3099, 3168, 3162, 3093],
-    [2920, 2980, 3100],
-    [2974, 2980, 3100, 3169, 3163, 3094],
-    [3037, 3163, 3169],
-    [2921, 2981, 3101],
-    [2975, 2981, 3101, 3170, 3164, 3095],
-    [3038, 3164, 3170],
-    [2923, 2983, 3103],
-    [2977, 2983, 3103, 3171, 3165, 3096],
-    [3039, 3165, 3171],
-    [2922, 2982, 3102],
-    [3040, 3166, 3172],
-    [2976, 2982, 3102, 3172, 3166, 3097],
-    [2924, 2984, 3104],
-    [3041, 3167, 3173],
-    [2978, 2984, 3104, 3173, 3167, 3098],
-    [3048, 3174, 3175],
-    [2979, 2980, 3100, 3175, 3174, 3099],
-    [3049, 3180, 3181],
-    [2981, 2982, 3102, 3181, 3180, 3101],
-    [3050, 3182, 3183],
-    [2983, 2984, 3104, 3183, 3182, 3103],
-    [2925, 2985, 3105],
-    [2928, 2988, 3108],
-    [3042, 3176, 3186],
-    [2985, 2988, 3108, 3186, 3176, 3105],
-    [2929, 2989, 3109],
-    [2985, 2989, 3109, 3187, 3177, 3105],
-    [3043, 3177, 3187],
-    [2926, 2986, 3106],
-    [2930, 2990, 3110],
-    [3044, 3178, 3188],
-    [2986, 2990, 3110, 3188, 3178, 3106],
-    [2931, 2991, 3111],
-    [3045, 3179, 3189],
-    [2986, 2991, 3111, 3189, 3179, 3106],
-    [2927, 2987, 3107],
-    [2932, 2992, 3112],
-    [3046, 3184, 3190],
-    [2987, 2992, 3112, 3190, 3184, 3107],
-    [2933, 2993, 3113],
-    [3047, 3185, 3191],
-    [2987, 2993, 3113, 3191, 3185, 3107],
-    [2934, 3000, 3114],
-    [2935, 3001, 3115],
-    [3051, 3192, 3193],
-    [3000, 3001, 3115, 3193, 3192, 3114],
-    [2940, 2994, 3120],
-    [3054, 3198, 3210],
-    [2988, 2994, 3120, 3210, 3198, 3108],
-    [2941, 2995, 3121],
-    [3056, 3200, 3211],
-    [2989, 2995, 3121, 3211, 3200, 3109],
-    [2942, 2996, 3122],
-    [3055, 3199, 3212],
-    [2990, 2996, 3122, 3212, 3199, 3110],
-    [2943, 2997, 3123],
-    [3057, 3201, 3213],
-    [2991, 2997, 3123, 3213, 3201, 3111],
-    [2936, 3002, 3116],
-    [2937, 3003, 3117],
-    [3052, 3194, 3195],
-    [3002, 3003, 3117, 3195, 3194, 3116],
-    [2939, 3005, 3119],
-    [2938, 3004, 3118],
-    [3053, 3196, 3197],
-    [3004, 3005, 3119, 3197, 3196, 3118],
-    [2944, 2998, 3124],
-    [2992, 2998, 3124, 3214, 3202, 3112],
-    [3058, 3202, 3214],
-    [2945, 2999, 3125],
-    [3059, 3203, 3215],
-    [2993, 2999, 3125, 3215, 3203, 3113],
-    [2946, 3006, 3126],
-    [3060, 3204, 3216],
-    [3000, 3006, 3126, 3216, 3204, 3114],
-    [2947, 3007, 3127],
-    [3001, 3007, 3127, 3217, 3205, 3115],
-    [3061, 3205, 3217],
-    [3066, 3222, 3223],
-    [2994, 2995, 3121, 3223, 3222, 3120],
-    [3067, 3224, 3225],
-    [2996, 2997, 3123, 3225, 3224, 3122],
-    [2948, 3008, 3128],
-    [3062, 3206, 3218],
-    [3002, 3008, 3128, 3218, 3206, 3116],
-    [2949, 3009, 3129],
-    [3064, 3207, 3220],
-    [3003, 3009, 3129, 3220, 3207, 3117],
-    [2950, 3010, 3130],
-    [3063, 3208, 3219],
-    [3004, 3010, 3130, 3219, 3208, 3118],
-    [2951, 3011, 3131],
-    [3065, 3209, 3221],
-    [3005, 3011, 3131, 3221, 3209, 3119],
-    [3068, 3226, 3227],
-    [2998, 2999, 3125, 3227, 3226, 3124],
-    [2952, 3012, 3132],
-    [3072, 3228, 3234],
-    [3006, 3012, 3132, 3234, 3228, 3126],
-    [3073, 3229, 3235],
-    [3007, 3012, 3132, 3235, 3229, 3127],
-    [2953, 3013, 3133],
-    [3074, 3230, 3240],
-    [3008, 3013, 3133, 3240, 3230, 3128],
-    [3075, 3231, 3241],
-    [3009, 3013, 3133, 3241, 3231, 3129],
-    [2954, 3014, 3134],
-    [3010, 3014, 3134, 3242, 3232, 3130],
-    [3076, 3232, 3242],
-    [3077, 3233, 3243],
-    [3011, 3014, 3134, 3243, 3233, 3131],
-    [2955, 3015, 3135],
-    [2956, 3016, 3136],
-    [3069, 3236, 3237],
-    [3015, 3016, 3136, 3237, 3236, 3135],
-    [2957, 3017, 3137],
-    [2958, 3018, 3138],
-    [3070, 3238, 3239],
-    [3017, 3018, 3138, 3239, 3238, 3137],
-    [2960, 3020, 3140],
-    [2959, 3019, 3139],
-    [3071, 3244, 3245],
-    [3019, 3020, 3140, 3245, 3244, 3139],
-    [2961, 3021, 3141],
-    [3078, 3246, 3252],
-    [3015, 3021, 3141, 3252, 3246, 3135],
-    [2962, 3023, 3142],
-    [3079, 3247, 3253],
-    [3017, 3023, 3142, 3253, 3247, 3137],
-    [2963, 3022, 3143],
-    [3016, 3022, 3143, 3254, 3248, 3136],
-    [3080, 3248, 3254],
-    [2964, 3024, 3144],
-    [3018, 3024, 3144, 3255, 3249, 3138],
-    [3081, 3249, 3255],
-    [2965, 3025, 3145],
-    [3019, 3025, 3145, 3256, 3250, 3139],
-    [3082, 3250, 3256],
-    [2966, 3026, 3146],
-    [3083, 3251, 3257],
-    [3020, 3026, 3146, 3257, 3251, 3140],
-    [2967, 3027, 3147],
-    [3084, 3258, 3264],
-    [3021, 3027, 3147, 3264, 3258, 3141],
-    [2968, 3028, 3148],
-    [3085, 3259, 3265],
-    [3023, 3028, 3148, 3265, 3259, 3142],
-    [3086, 3260, 3266],
-    [3022, 3027, 3147, 3266, 3260, 3143],
-    [3088, 3261, 3267],
-    [3024, 3028, 3148, 3267, 3261, 3144],
-    [2969, 3029, 3149],
-    [3087, 3262, 3268],
-    [3025, 3029, 3149, 3268, 3262, 3145],
-    [3089, 3263, 3269],
-    [3026, 3029, 3149, 3269, 3263, 3146],
-    [3150, 3156, 3276, 3393, 3390, 3270],
-    [3270, 3272, 3390],
-    [3152, 3158, 3277, 3393, 3390, 3272],
-    [3276, 3277, 3393],
-    [3271, 3273, 3391],
-    [3278, 3279, 3394],
-    [3151, 3157, 3278, 3394, 3391, 3271],
-    [3153, 3159, 3279, 3394, 3391, 3273],
-    [3155, 3161, 3281, 3395, 3392, 3275],
-    [3154, 3160, 3280, 3395, 3392, 3274],
-    [3274, 3275, 3392],
-    [3280, 3281, 3395],
-    [3162, 3168, 3294, 3402, 3396, 3282],
-    [3294, 3306, 3402],
-    [3176, 3186, 3306, 3402, 3396, 3288],
-    [3282, 3288, 3396],
-    [3163, 3169, 3295, 3403, 3398, 3284],
-    [3284, 3290, 3398],
-    [3295, 3307, 3403],
-    [3178, 3188, 3307, 3403, 3398, 3290],
-    [3283, 3289, 3397],
-    [3164, 3170, 3296, 3404, 3397, 3283],
-    [3177, 3187, 3308, 3404, 3397, 3289],
-    [3296, 3308, 3404],
-    [3165, 3171, 3297, 3405, 3399, 3285],
-    [3285, 3291, 3399],
-    [3297, 3309, 3405],
-    [3179, 3189, 3309, 3405, 3399, 3291],
-    [3286, 3292, 3400],
-    [3184, 3190, 3310, 3406, 3400, 3292],
-    [3298, 3310, 3406],
-    [3166, 3172, 3298, 3406, 3400, 3286],
-    [3287, 3293, 3401],
-    [3299, 3311, 3407],
-    [3167, 3173, 3299, 3407, 3401, 3287],
-    [3185, 3191, 3311, 3407, 3401, 3293],
-    [3300, 3312, 3408],
-    [3301, 3313, 3409],
-    [3174, 3175, 3301, 3409, 3408, 3300],
-    [3192, 3193, 3313, 3409, 3408, 3312],
-    [3180, 3181, 3303, 3411, 3410, 3302],
-    [3303, 3315, 3411],
-    [3302, 3314, 3410],
-    [3194, 3195, 3315, 3411, 3410, 3314],
-    [3305, 3317, 3413],
-    [3182, 3183, 3305, 3413, 3412, 3304],
-    [3304, 3316, 3412],
-    [3196, 3197, 3317, 3413, 3412, 3316],
-    [3204, 3216, 3336, 3420, 3414, 3324],
-    [3198, 3210, 3330, 3420, 3414, 3318],
-    [3318, 3324, 3414],
-    [3330, 3336, 3420],
-    [3205, 3217, 3337, 3421, 3415, 3325],
-    [3319, 3325, 3415],
-    [3332, 3337, 3421],
-    [3199, 3212, 3332, 3421, 3415, 3319],
-    [3200, 3211, 3331, 3422, 3416, 3320],
-    [3331, 3338, 3422],
-    [3320, 3326, 3416],
-    [3206, 3218, 3338, 3422, 3416, 3326],
-    [3208, 3219, 3339, 3423, 3417, 3328],
-    [3321, 3328, 3417],
-    [3333, 3339, 3423],
-    [3201, 3213, 3333, 3423, 3417, 3321],
-    [3202, 3214, 3334, 3424, 3418, 3322],
-    [3334, 3340, 3424],
-    [3322, 3327, 3418],
-    [3207, 3220, 3340, 3424, 3418, 3327],
-    [3203, 3215, 3335, 3425, 3419, 3323],
-    [3209, 3221, 3341, 3425, 3419, 3329],
-    [3335, 3341, 3425],
-    [3323, 3329, 3419],
-    [3342, 3354, 3426],
-    [3236, 3237, 3355, 3427, 3426, 3354],
-    [3343, 3355, 3427],
-    [3222, 3223, 3343, 3427, 3426, 3342],
-    [3238, 3239, 3357, 3429, 3428, 3356],
-    [3344, 3356, 3428],
-    [3345, 3357, 3429],
-    [3224, 3225, 3345, 3429, 3428, 3344],
-    [3347, 3359, 3431],
-    [3346, 3358, 3430],
-    [3244, 3245, 3359, 3431, 3430, 3358],
-    [3226, 3227, 3347, 3431, 3430, 3346],
-    [3348, 3360, 3432],
-    [3366, 3372, 3438],
-    [3228, 3234, 3366, 3438, 3432, 3348],
-    [3246, 3252, 3372, 3438, 3432, 3360],
-    [3367, 3373, 3439],
-    [3229, 3235, 3367, 3439, 3433, 3349],
-    [3349, 3361, 3433],
-    [3247, 3253, 3373, 3439, 3433, 3361],
-    [3248, 3254, 3374, 3440, 3434, 3362],
-    [3368, 3374, 3440],
-    [3350, 3362, 3434],
-    [3230, 3240, 3368, 3440, 3434, 3350],
-    [3370, 3376, 3442],
-    [3232, 3242, 3370, 3442, 3435, 3351],
-    [3249, 3255, 3376, 3442, 3435, 3363],
-    [3351, 3363, 3435],
-    [3250, 3256, 3375, 3441, 3436, 3364],
-    [3352, 3364, 3436],
-    [3369, 3375, 3441],
-    [3231, 3241, 3369, 3441, 3436, 3352],
-    [3251, 3257, 3377, 3443, 3437, 3365],
-    [3353, 3365, 3437],
-    [3233, 3243, 3371, 3443, 3437, 3353],
-    [3371, 3377, 3443],
-    [3258, 3264, 3384, 3447, 3444, 3378],
-    [3259, 3265, 3385, 3447, 3444, 3379],
-    [3384, 3385, 3447],
-    [3378, 3379, 3444],
-    [3386, 3388, 3448],
-    [3380, 3381, 3445],
-    [3262, 3268, 3388, 3448, 3445, 3381],
-    [3260, 3266, 3386, 3448, 3445, 3380],
-    [3263, 3269, 3389, 3449, 3446, 3383],
-    [3387, 3389, 3449],
-    [3261, 3267, 3387, 3449, 3446, 3382],
-    [3382, 3383, 3446],
-    [3272, 3274, 3392, 3452, 3450, 3390],
-    [3273, 3275, 3392, 3452, 3451, 3391],
-    [3270, 3271, 3391, 3451, 3450, 3390],
-    [3450, 3451, 3452],
-    [3276, 3282, 3396, 3456, 3453, 3393],
-    [3277, 3283, 3397, 3457, 3453, 3393],
-    [3288, 3289, 3397, 3457, 3456, 3396],
-    [3453, 3456, 3457],
-    [3278, 3284, 3398, 3458, 3454, 3394],
-    [3290, 3291, 3399, 3459, 3458, 3398],
-    [3279, 3285, 3399, 3459, 3454, 3394],
-    [3454, 3458, 3459],
-    [3281, 3287, 3401, 3461, 3455, 3395],
-    [3280, 3286, 3400, 3460, 3455, 3395],
-    [3292, 3293, 3401, 3461, 3460, 3400],
-    [3455, 3460, 3461],
-    [3306, 3318, 3414, 3474, 3462, 3402],
-    [3312, 3324, 3414, 3474, 3468, 3408],
-    [3294, 3300, 3408, 3468, 3462, 3402],
-    [3462, 3468, 3474],
-    [3295, 3301, 3409, 3469, 3463, 3403],
-    [3307, 3319, 3415, 3475, 3463, 3403],
-    [3313, 3325, 3415, 3475, 3469, 3409],
-    [3463, 3469, 3475],
-    [3296, 3302, 3410, 3470, 3464, 3404],
-    [3308, 3320, 3416, 3476, 3464, 3404],
-    [3464, 3470, 3476],
-    [3314, 3326, 3416, 3476, 3470, 3410],
-    [3297, 3304, 3412, 3472, 3465, 3405],
-    [3316, 3328, 3417, 3477, 3472, 3412],
-    [3309, 3321, 3417, 3477, 3465, 3405],
-    [3465, 3472, 3477],
-    [3310, 3322, 3418, 3478, 3466, 3406],
-    [3298, 3303, 3411, 3471, 3466, 3406],
-    [3315, 3327, 3418, 3478, 3471, 3411],
-    [3466, 3471, 3478],
-    [3311, 3323, 3419, 3479, 3467, 3407],
-    [3317, 3329, 3419, 3479, 3473, 3413],
-    [3299, 3305, 3413, 3473, 3467, 3407],
-    [3467, 3473, 3479],
-    [3336, 3348, 3432, 3492, 3480, 3420],
-    [3330, 3342, 3426, 3486, 3480, 3420],
-    [3354, 3360, 3432, 3492, 3486, 3426],
-    [3480, 3486, 3492],
-    [3337, 3349, 3433, 3493, 3481, 3421],
-    [3356, 3361, 3433, 3493, 3488, 3428],
-    [3332, 3344, 3428, 3488, 3481, 3421],
-    [3481, 3488, 3493],
-    [3355, 3362, 3434, 3494, 3487, 3427],
-    [3331, 3343, 3427, 3487, 3482, 3422],
-    [3338, 3350, 3434, 3494, 3482, 3422],
-    [3482, 3487, 3494],
-    [3339, 3351, 3435, 3495, 3483, 3423],
-    [3357, 3363, 3435, 3495, 3489, 3429],
-    [3483, 3489, 3495],
-    [3333, 3345, 3429, 3489, 3483, 3423],
-    [3358, 3364, 3436, 3496, 3490, 3430],
-    [3340, 3352, 3436, 3496, 3484, 3424],
-    [3334, 3346, 3430, 3490, 3484, 3424],
-    [3484, 3490, 3496],
-    [3341, 3353, 3437, 3497, 3485, 3425],
-    [3335, 3347, 3431, 3491, 3485, 3425],
-    [3359, 3365, 3437, 3497, 3491, 3431],
-    [3485, 3491, 3497],
-    [3372, 3378, 3444, 3504, 3498, 3438],
-    [3373, 3379, 3444, 3504, 3499, 3439],
-    [3366, 3367, 3439, 3499, 3498, 3438],
-    [3498, 3499, 3504],
-    [3375, 3381, 3445, 3505, 3501, 3441],
-    [3368, 3369, 3441, 3501, 3500, 3440],
-    [3374, 3380, 3445, 3505, 3500, 3440],
-    [3500, 3501, 3505],
-    [3377, 3383, 3446, 3506, 3503, 3443],
-    [3370, 3371, 3443, 3503, 3502, 3442],
-    [3376, 3382, 3446, 3506, 3502, 3442],
-    [3502, 3503, 3506],
-    [3385, 3387, 3449, 3509, 3507, 3447],
-    [3384, 3386, 3448, 3508, 3507, 3447],
-    [3388, 3389, 3449, 3509, 3508, 3448],
-    [3507, 3508, 3509],
-    [3390, 3393, 3453, 3510, 3450],
-    [3391, 3394, 3454, 3511, 3451],
-    [3396, 3402, 3462, 3513, 3456],
-    [3398, 3403, 3463, 3514, 3458],
-    [3408, 3409, 3469, 3519, 3468],
-    [3453, 3456, 3513, 3546, 3540, 3510],
-    [3450, 3451, 3511, 3541, 3540, 3510],
-    [3462, 3468, 3519, 3552, 3546, 3513],
-    [3454, 3458, 3514, 3547, 3541, 3511],
-    [3463, 3469, 3519, 3552, 3547, 3514],
-    [3540, 3541, 3547, 3552, 3546],
-    [3392, 3395, 3455, 3512, 3452],
-    [3397, 3404, 3464, 3515, 3457],
-    [3410, 3411, 3471, 3520, 3470],
-    [3400, 3406, 3466, 3517, 3460],
-    [3450, 3452, 3512, 3544, 3542, 3510],
-    [3455, 3460, 3517, 3550, 3544, 3512],
-    [3453, 3457, 3515, 3548, 3542, 3510],
-    [3542, 3544, 3550, 3553, 3548],
-    [3466, 3471, 3520, 3553, 3550, 3517],
-    [3464, 3470, 3520, 3553, 3548, 3515],
-    [3401, 3407, 3467, 3518, 3461],
-    [3399, 3405, 3465, 3516, 3459],
-    [3412, 3413, 3473, 3521, 3472],
-    [3455, 3461, 3518, 3551, 3545, 3512],
-    [3451, 3452, 3512, 3545, 3543, 3511],
-    [3467, 3473, 3521, 3554, 3551, 3518],
-    [3543, 3545, 3551, 3554, 3549],
-    [3465, 3472, 3521, 3554, 3549, 3516],
-    [3454, 3459, 3516, 3549, 3543, 3511],
-    [3414, 3420, 3480, 3522, 3474],
-    [3416, 3422, 3482, 3524, 3476],
-    [3426, 3427, 3487, 3528, 3486],
-    [3462, 3474, 3522, 3564, 3555, 3513],
-    [3480, 3486, 3528, 3576, 3564, 3522],
-    [3456, 3457, 3515, 3556, 3555, 3513],
-    [3555, 3556, 3565, 3576, 3564],
-    [3482, 3487, 3528, 3576, 3565, 3524],
-    [3464, 3476, 3524, 3565, 3556, 3515],
-    [3415, 3421, 3481, 3523, 3475],
-    [3417, 3423, 3483, 3525, 3477],
-    [3428, 3429, 3489, 3529, 3488],
-    [3458, 3459, 3516, 3558, 3557, 3514],
-    [3463, 3475, 3523, 3566, 3557, 3514],
-    [3465, 3477, 3525, 3567, 3558, 3516],
-    [3481, 3488, 3529, 3577, 3566, 3523],
-    [3483, 3489, 3529, 3577, 3567, 3525],
-    [3557, 3558, 3567, 3577, 3566],
-    [3419, 3425, 3485, 3527, 3479],
-    [3418, 3424, 3484, 3526, 3478],
-    [3430, 3431, 3491, 3530, 3490],
-    [3467, 3479, 3527, 3569, 3560, 3518],
-    [3485, 3491, 3530, 3578, 3569, 3527],
-    [3460, 3461, 3518, 3560, 3559, 3517],
-    [3559, 3560, 3569, 3578, 3568],
-    [3466, 3478, 3526, 3568, 3559, 3517],
-    [3484, 3490, 3530, 3578, 3568, 3526],
-    [3432, 3438, 3498, 3531, 3492],
-    [3433, 3439, 3499, 3532, 3493],
-    [3480, 3492, 3531, 3579, 3570, 3522],
-    [3468, 3474, 3522, 3570, 3561, 3519],
-    [3498, 3499, 3532, 3580, 3579, 3531],
-    [3561, 3570, 3579, 3580, 3571],
-    [3481, 3493, 3532, 3580, 3571, 3523],
-    [3469, 3475, 3523, 3571, 3561, 3519],
-    [3436, 3441, 3501, 3535, 3496],
-    [3434, 3440, 3500, 3533, 3494],
-    [3484, 3496, 3535, 3582, 3573, 3526],
-    [3500, 3501, 3535, 3582, 3581, 3533],
-    [3471, 3478, 3526, 3573, 3562, 3520],
-    [3482, 3494, 3533, 3581, 3572, 3524],
-    [3470, 3476, 3524, 3572, 3562, 3520],
-    [3562, 3572, 3581, 3582, 3573],
-    [3435, 3442, 3502, 3534, 3495],
-    [3437, 3443, 3503, 3536, 3497],
-    [3485, 3497, 3536, 3584, 3575, 3527],
-    [3473, 3479, 3527, 3575, 3563, 3521],
-    [3502, 3503, 3536, 3584, 3583, 3534],
-    [3563, 3574, 3583, 3584, 3575],
-    [3472, 3477, 3525, 3574, 3563, 3521],
-    [3483, 3495, 3534, 3583, 3574, 3525],
-    [3444, 3447, 3507, 3537, 3504],
-    [3445, 3448, 3508, 3538, 3505],
-    [3498, 3504, 3537, 3594, 3588, 3531],
-    [3507, 3508, 3538, 3596, 3594, 3537],
-    [3486, 3492, 3531, 3588, 3585, 3528],
-    [3585, 3588, 3594, 3596, 3590],
-    [3487, 3494, 3533, 3590, 3585, 3528],
-    [3500, 3505, 3538, 3596, 3590, 3533],
-    [3446, 3449, 3509, 3539, 3506],
-    [3507, 3509, 3539, 3597, 3595, 3537],
-    [3499, 3504, 3537, 3595, 3589, 3532],
-    [3502, 3506, 3539, 3597, 3591, 3534],
-    [3586, 3589, 3595, 3597, 3591],
-    [3488, 3493, 3532, 3589, 3586, 3529],
-    [3489, 3495, 3534, 3591, 3586, 3529],
-    [3503, 3506, 3539, 3599, 3593, 3536],
-    [3491, 3497, 3536, 3593, 3587, 3530],
-    [3508, 3509, 3539, 3599, 3598, 3538],
-    [3490, 3496, 3535, 3592, 3587, 3530],
-    [3501, 3505, 3538, 3598, 3592, 3535],
-    [3587, 3592, 3598, 3599, 3593],
-    [3511, 3541, 3543],
-    [3510, 3540, 3542],
-    [3512, 3544, 3545],
-    [3540, 3541, 3543, 3545, 3544, 3542],
-    [3515, 3548, 3556],
-    [3513, 3546, 3555],
-    [3540, 3542, 3548, 3556, 3555, 3546],
-    [3514, 3547, 3557],
-    [3516, 3549, 3558],
-    [3541, 3543, 3549, 3558, 3557, 3547],
-    [3517, 3550, 3559],
-    [3518, 3551, 3560],
-    [3544, 3545, 3551, 3560, 3559, 3550],
-    [3519, 3552, 3561],
-    [3522, 3564, 3570],
-    [3546, 3552, 3561, 3570, 3564, 3555],
-    [3523, 3566, 3571],
-    [3547, 3552, 3561, 3571, 3566, 3557],
-    [3520, 3553, 3562],
-    [3524, 3565, 3572],
-    [3548, 3553, 3562, 3572, 3565, 3556],
-    [3521, 3554, 3563],
-    [3525, 3567, 3574],
-    [3549, 3554, 3563, 3574, 3567, 3558],
-    [3526, 3568, 3573],
-    [3550, 3553, 3562, 3573, 3568, 3559],
-    [3527, 3569, 3575],
-    [3551, 3554, 3563, 3575, 3569, 3560],
-    [3528, 3576, 3585],
-    [3531, 3579, 3588],
-    [3564, 3570, 3579, 3588, 3585, 3576],
-    [3529, 3577, 3586],
-    [3532, 3580, 3589],
-    [3566, 3571, 3580, 3589, 3586, 3577],
-    [3533, 3581, 3590],
-    [3565, 3572, 3581, 3590, 3585, 3576],
-    [3534, 3583, 3591],
-    [3567, 3574, 3583, 3591, 3586, 3577],
-    [3530, 3578, 3587],
-    [3535, 3582, 3592],
-    [3568, 3573, 3582, 3592, 3587, 3578],
-    [3536, 3584, 3593],
-    [3569, 3575, 3584, 3593, 3587, 3578],
-    [3537, 3594, 3595],
-    [3579, 3580, 3589, 3595, 3594, 3588],
-    [3538, 3596, 3598],
-    [3581, 3582, 3592, 3598, 3596, 3590],
-    [3539, 3597, 3599],
-    [3583, 3584, 3593, 3599, 3597, 3591],
-    [3594, 3595, 3597, 3599, 3598, 3596],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-    ],
-    [0, 32, 33, 34, 35, 36, 37, 38],
-    [20, 33, 39, 40, 41, 42, 43, 44],
-    [12, 32, 45, 46, 47, 48, 49, 50],
-    [26, 34, 51, 52, 53, 54, 55, 56],
-    [4, 40, 57, 58, 59, 60, 61, 62],
-    [13, 45, 57, 63, 64, 65, 66, 67],
-    [6, 39, 68, 69, 70, 71, 72, 73],
-    [8, 46, 74, 75, 76, 77, 78, 79],
-    [9, 51, 68, 80, 81, 82, 83, 84],
-    [27, 52, 74, 85, 86, 87, 88, 89],
-    [28, 58, 90, 91, 92, 93, 94, 95],
-    [10, 63, 96, 97, 98, 99, 100, 101],
-    [11, 69, 90, 102, 103, 104, 105, 106],
-    [7, 75, 96, 107, 108, 109, 110, 111],
-    [14, 80, 112, 113, 114, 115, 116, 117],
-    [5, 85, 112, 118, 119, 120, 121, 122],
-    [29, 91, 97, 123, 124, 125, 126, 127],
-    [15, 102, 113, 128, 129, 130, 131, 132],
-    [21, 118, 107, 133, 134, 135, 136, 137],
-    [1, 123, 133, 128, 138, 139, 140, 141],
-    [
-      30, 48, 65, 37, 61, 41, 142, 143, 144, 145, 146, 147, 148, 149, 150, 151,
-      152, 153, 154, 155, 156, 157, 158, 159, 160, 161, 162, 163, 164, 165, 166,
-      167,
-    ],
-    [
-      72, 84, 16, 42, 54, 35, 142, 168, 169, 170, 171, 172, 173, 174, 175, 176,
-      177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189, 190, 191,
-      192,
-    ],
-    [
-      50, 78, 22, 88, 36, 53, 143, 168, 193, 194, 195, 196, 197, 198, 199, 200,
-      201, 202, 203, 204, 205, 206, 207, 208, 209, 210, 211, 212, 213, 214, 215,
-      216,
-    ],
-    [
-      73, 106, 17, 43, 93, 59, 144, 169, 217, 218, 219, 220, 221, 222, 223, 224,
-      225, 226, 227, 228, 229, 230, 231, 232, 233, 234, 235, 236, 237, 238, 239,
-      240,
-    ],
-    [
-      2, 108, 76, 98, 47, 64, 194, 145, 241, 242, 243, 244, 245, 246, 247, 248,
-      249, 250, 251, 252, 253, 254, 255, 256, 257, 258, 259, 260, 261, 262, 263,
-      264,
-    ],
-    [
-      117, 83, 23, 55, 120, 86, 171, 193, 265, 266, 267, 268, 269, 270, 271,
-      272, 273, 274, 275, 276, 277, 278, 279, 280, 281, 282, 283, 284, 285, 286,
-      287, 288,
-    ],
-    [
-      67, 100, 24, 126, 60, 92, 146, 241, 217, 289, 290, 291, 292, 293, 294,
-      295, 296, 297, 298, 299, 300, 301, 302, 303, 304, 305, 306, 307, 308, 309,
-      310, 311,
-    ],
-    [
-      3, 70, 81, 103, 114, 129, 170, 218, 266, 312, 313, 314, 315, 316, 317,
-      318, 319, 320, 321, 322, 323, 324, 325, 326, 327, 328, 329, 330, 331, 332,
-      333, 334,
-    ],
-    [
-      110, 79, 18, 135, 87, 119, 195, 242, 265, 335, 336, 337, 338, 339, 340,
-      341, 342, 343, 344, 345, 346, 347, 348, 349, 350, 351, 352, 353, 354, 355,
-      356, 357,
-    ],
-    [
-      132, 105, 25, 94, 139, 124, 219, 313, 289, 358, 359, 360, 361, 362, 363,
-      364, 365, 366, 367, 368, 369, 370, 371, 372, 373, 374, 375, 376, 377, 378,
-      379, 380,
-    ],
-    [
-      111, 101, 19, 136, 125, 138, 290, 243, 335, 358, 381, 382, 383, 384, 385,
-      386, 387, 388, 389, 390, 391, 392, 393, 394, 395, 396, 397, 398, 399, 400,
-      401, 402,
-    ],
-    [
-      31, 115, 130, 121, 140, 134, 267, 312, 336, 359, 381, 403, 404, 405, 406,
-      407, 408, 409, 410, 411, 412, 413, 414, 415, 416, 417, 418, 419, 420, 421,
-      422, 423,
-    ],
-    [38, 151, 198, 172, 424, 425, 426, 427],
-    [44, 176, 224, 147, 428, 429, 430, 431],
-    [49, 199, 244, 148, 432, 433, 434, 435],
-    [56, 278, 173, 196, 436, 437, 438, 439],
-    [62, 152, 293, 220, 440, 441, 442, 443],
-    [66, 294, 245, 149, 444, 445, 446, 447],
-    [322, 71, 174, 222, 448, 449, 450, 451],
-    [77, 246, 340, 197, 452, 453, 454, 455],
-    [82, 316, 175, 269, 456, 457, 458, 459],
-    [89, 206, 338, 268, 460, 461, 462, 463],
-    [95, 370, 221, 291, 464, 465, 466, 467],
-    [99, 247, 385, 292, 468, 469, 470, 471],
-    [104, 317, 223, 361, 472, 473, 474, 475],
-    [255, 109, 339, 384, 476, 477, 478, 479],
-    [116, 271, 314, 404, 480, 481, 482, 483],
-    [122, 407, 270, 337, 484, 485, 486, 487],
-    [127, 301, 383, 360, 488, 489, 490, 491],
-    [131, 363, 315, 405, 492, 493, 494, 495],
-    [137, 341, 386, 403, 496, 497, 498, 499],
-    [141, 408, 362, 382, 500, 501, 502, 503],
-    [429, 180, 425, 153, 504, 505, 506, 507],
-    [216, 159, 432, 424, 508, 509, 510, 511],
-    [438, 426, 178, 201, 512, 513, 514, 515],
-    [430, 228, 441, 154, 516, 517, 518, 519],
-    [252, 434, 446, 150, 520, 521, 522, 523],
-    [451, 185, 233, 428, 524, 525, 526, 527],
-    [263, 455, 433, 200, 528, 529, 530, 531],
-    [190, 457, 279, 436, 532, 533, 534, 535],
-    [202, 275, 437, 461, 536, 537, 538, 539],
-    [311, 160, 444, 440, 540, 541, 542, 543],
-    [331, 448, 456, 177, 544, 545, 546, 547],
-    [355, 453, 207, 460, 548, 549, 550, 551],
-    [466, 442, 226, 296, 552, 553, 554, 555],
-    [264, 471, 445, 295, 556, 557, 558, 559],
-    [332, 449, 472, 225, 560, 561, 562, 563],
-    [261, 476, 452, 342, 564, 565, 566, 567],
-    [333, 459, 480, 272, 568, 569, 570, 571],
-    [462, 486, 343, 273, 572, 573, 574, 575],
-    [238, 473, 371, 464, 576, 577, 578, 579],
-    [262, 477, 468, 387, 580, 581, 582, 583],
-    [288, 415, 481, 484, 584, 585, 586, 587],
-    [298, 366, 465, 489, 588, 589, 590, 591],
-    [400, 469, 302, 488, 592, 593, 594, 595],
-    [334, 475, 492, 364, 596, 597, 598, 599],
-    [479, 350, 395, 496, 600, 601, 602, 603],
-    [325, 482, 494, 406, 604, 605, 606, 607],
-    [497, 345, 485, 409, 608, 609, 610, 611],
-    [490, 502, 388, 365, 612, 613, 614, 615],
-    [380, 416, 493, 500, 616, 617, 618, 619],
-    [498, 390, 501, 410, 620, 621, 622, 623],
-    [161, 506, 624, 625, 626, 627, 628, 629],
-    [165, 509, 624, 630, 631, 632, 633, 634],
-    [192, 504, 635, 636, 637, 638, 639, 640],
-    [213, 511, 641, 642, 643, 644, 645, 646],
-    [191, 512, 635, 647, 648, 649, 650, 651],
-    [212, 513, 641, 652, 653, 654, 655, 656],
-    [162, 518, 625, 657, 658, 659, 660, 661],
-    [521, 158, 630, 662, 663, 664, 665, 666],
-    [526, 186, 636, 667, 668, 669, 670, 671],
-    [530, 209, 642, 672, 673, 674, 675, 676],
-    [187, 535, 647, 677, 678, 679, 680, 681],
-    [215, 538, 652, 682, 683, 684, 685, 686],
-    [166, 541, 662, 657, 687, 688, 689, 690],
-    [184, 544, 667, 677, 691, 692, 693, 694],
-    [211, 549, 672, 682, 695, 696, 697, 698],
-    [240, 516, 699, 700, 701, 702, 703, 704],
-    [527, 234, 699, 705, 706, 707, 708, 709],
-    [260, 520, 710, 711, 712, 713, 714, 715],
-    [256, 528, 710, 716, 717, 718, 719, 720],
-    [283, 533, 721, 722, 723, 724, 725, 726],
-    [286, 539, 721, 727, 728, 729, 730, 731],
-    [308, 543, 732, 733, 734, 735, 736, 737],
-    [239, 552, 700, 738, 739, 740, 741, 742],
-    [232, 560, 705, 743, 744, 745, 746, 747],
-    [257, 556, 711, 748, 749, 750, 751, 752],
-    [250, 565, 716, 753, 754, 755, 756, 757],
-    [320, 545, 758, 759, 760, 761, 762, 763],
-    [352, 551, 764, 765, 766, 767, 768, 769],
-    [570, 281, 722, 770, 771, 772, 773, 774],
-    [284, 573, 727, 775, 776, 777, 778, 779],
-    [307, 553, 732, 780, 781, 782, 783, 784],
-    [558, 304, 733, 785, 786, 787, 788, 789],
-    [235, 579, 743, 738, 790, 791, 792, 793],
-    [251, 581, 748, 753, 794, 795, 796, 797],
-    [321, 561, 758, 798, 799, 800, 801, 802],
-    [326, 568, 759, 803, 804, 805, 806, 807],
-    [349, 564, 765, 808, 809, 810, 811, 812],
-    [356, 572, 764, 813, 814, 815, 816, 817],
-    [285, 587, 770, 775, 818, 819, 820, 821],
-    [310, 590, 780, 822, 823, 824, 825, 826],
-    [306, 593, 785, 822, 827, 828, 829, 830],
-    [327, 596, 798, 831, 832, 833, 834, 835],
-    [330, 604, 803, 831, 836, 837, 838, 839],
-    [602, 351, 808, 840, 841, 842, 843, 844],
-    [357, 608, 813, 840, 845, 846, 847, 848],
-    [375, 577, 849, 850, 851, 852, 853, 854],
-    [394, 580, 855, 856, 857, 858, 859, 860],
-    [421, 585, 861, 862, 863, 864, 865, 866],
-    [378, 591, 849, 867, 868, 869, 870, 871],
-    [397, 595, 855, 872, 873, 874, 875, 876],
-    [598, 373, 850, 877, 878, 879, 880, 881],
-    [603, 396, 856, 882, 883, 884, 885, 886],
-    [605, 414, 862, 887, 888, 889, 890, 891],
-    [417, 610, 861, 892, 893, 894, 895, 896],
-    [376, 613, 867, 897, 898, 899, 900, 901],
-    [401, 612, 872, 902, 903, 904, 905, 906],
-    [377, 619, 877, 897, 907, 908, 909, 910],
-    [402, 620, 882, 902, 911, 912, 913, 914],
-    [422, 617, 887, 915, 916, 917, 918, 919],
-    [418, 622, 892, 915, 920, 921, 922, 923],
-    [
-      163, 515, 210, 507, 427, 182, 510, 654, 632, 643, 648, 637, 627, 924, 925,
-      926, 927, 928, 929, 930, 931, 932, 933, 934, 935, 936, 937, 938, 939, 940,
-      941, 942,
-    ],
-    [
-      431, 639, 703, 525, 505, 517, 155, 179, 227, 669, 707, 626, 658, 925, 943,
-      944, 945, 946, 947, 948, 949, 950, 951, 952, 953, 954, 955, 956, 957, 958,
-      959, 960,
-    ],
-    [
-      531, 522, 435, 208, 156, 248, 508, 674, 712, 717, 663, 644, 631, 924, 961,
-      962, 963, 964, 965, 966, 967, 968, 969, 970, 971, 972, 973, 974, 975, 976,
-      977, 978,
-    ],
-    [
-      439, 189, 514, 534, 536, 205, 729, 649, 274, 724, 678, 653, 683, 926, 979,
-      980, 981, 982, 983, 984, 985, 986, 987, 988, 989, 990, 991, 992, 993, 994,
-      995, 996,
-    ],
-    [
-      164, 555, 305, 519, 443, 230, 542, 782, 688, 659, 734, 739, 701, 944, 997,
-      998, 999, 1000, 1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009,
-      1010, 1011, 1012, 1013, 1014,
-    ],
-    [
-      559, 523, 447, 303, 157, 249, 540, 787, 713, 749, 664, 735, 687, 961, 997,
-      1015, 1016, 1017, 1018, 1019, 1020, 1021, 1022, 1023, 1024, 1025, 1026,
-      1027, 1028, 1029, 1030, 1031,
-    ],
-    [
-      763, 802, 323, 546, 562, 450, 181, 229, 524, 691, 744, 668, 706, 943,
-      1032, 1033, 1034, 1035, 1036, 1037, 1038, 1039, 1040, 1041, 1042, 1043,
-      1044, 1045, 1046, 1047, 1048, 1049,
-    ],
-    [
-      720, 258, 567, 454, 529, 347, 754, 204, 810, 548, 673, 767, 695, 962,
-      1050, 1051, 1052, 1053, 1054, 1055, 1056, 1057, 1058, 1059, 1060, 1061,
-      1062, 1063, 1064, 1065, 1066, 1067,
-    ],
-    [
-      807, 328, 547, 458, 569, 183, 760, 276, 692, 532, 679, 771, 723, 979,
-      1032, 1068, 1069, 1070, 1071, 1072, 1073, 1074, 1075, 1076, 1077, 1078,
-      1079, 1080, 1081, 1082, 1083, 1084,
-    ],
-    [
-      463, 353, 574, 550, 537, 277, 684, 815, 203, 696, 766, 776, 728, 980,
-      1050, 1085, 1086, 1087, 1088, 1089, 1090, 1091, 1092, 1093, 1094, 1095,
-      1096, 1097, 1098, 1099, 1100, 1101,
-    ],
-    [
-      467, 237, 554, 578, 588, 300, 869, 740, 367, 852, 790, 781, 823, 998,
-      1102, 1103, 1104, 1105, 1106, 1107, 1108, 1109, 1110, 1111, 1112, 1113,
-      1114, 1115, 1116, 1117, 1118, 1119,
-    ],
-    [
-      752, 259, 583, 470, 557, 392, 794, 299, 858, 592, 786, 874, 827, 1015,
-      1120, 1121, 1122, 1123, 1124, 1125, 1126, 1127, 1128, 1129, 1130, 1131,
-      1132, 1133, 1134, 1135, 1136, 1137,
-    ],
-    [
-      835, 329, 563, 474, 597, 231, 799, 368, 745, 576, 791, 878, 851, 1033,
-      1102, 1138, 1139, 1140, 1141, 1142, 1143, 1144, 1145, 1146, 1147, 1148,
-      1149, 1150, 1151, 1152, 1153, 1154,
-    ],
-    [
-      757, 797, 254, 566, 582, 478, 346, 391, 600, 809, 857, 841, 883, 1051,
-      1120, 1155, 1156, 1157, 1158, 1159, 1160, 1161, 1162, 1163, 1164, 1165,
-      1166, 1167, 1168, 1169, 1170, 1171,
-    ],
-    [
-      571, 606, 483, 280, 412, 319, 584, 772, 836, 804, 888, 819, 863, 1068,
-      1172, 1173, 1174, 1175, 1176, 1177, 1178, 1179, 1180, 1181, 1182, 1183,
-      1184, 1185, 1186, 1187, 1188, 1189,
-    ],
-    [
-      419, 575, 282, 611, 487, 348, 586, 777, 864, 894, 814, 818, 845, 1085,
-      1172, 1190, 1191, 1192, 1193, 1194, 1195, 1196, 1197, 1198, 1199, 1200,
-      1201, 1202, 1203, 1204, 1205, 1206,
-    ],
-    [
-      491, 398, 614, 594, 589, 369, 824, 904, 297, 828, 873, 898, 868, 1103,
-      1121, 1207, 1208, 1209, 1210, 1211, 1212, 1213, 1214, 1215, 1216, 1217,
-      1218, 1219, 1220, 1221, 1222, 1223,
-    ],
-    [
-      599, 607, 495, 372, 413, 318, 616, 879, 837, 832, 889, 908, 916, 1138,
-      1173, 1224, 1225, 1226, 1227, 1228, 1229, 1230, 1231, 1232, 1233, 1234,
-      1235, 1236, 1237, 1238, 1239, 1240,
-    ],
-    [
-      499, 847, 913, 601, 609, 621, 411, 389, 344, 842, 884, 893, 920, 1190,
-      1155, 1241, 1242, 1243, 1244, 1245, 1246, 1247, 1248, 1249, 1250, 1251,
-      1252, 1253, 1254, 1255, 1256, 1257,
-    ],
-    [
-      420, 615, 374, 623, 503, 393, 618, 899, 917, 903, 907, 911, 921, 1207,
-      1241, 1224, 1258, 1259, 1260, 1261, 1262, 1263, 1264, 1265, 1266, 1267,
-      1268, 1269, 1270, 1271, 1272, 1273,
-    ],
-    [629, 937, 948, 1274, 1275, 1276, 1277, 1278],
-    [633, 965, 931, 1279, 1280, 1281, 1282, 1283],
-    [640, 956, 932, 1274, 1284, 1285, 1286, 1287],
-    [646, 966, 929, 1279, 1288, 1289, 1290, 1291],
-    [995, 651, 933, 1292, 1293, 1294, 1295, 1296],
-    [656, 986, 928, 1292, 1297, 1298, 1299, 1300],
-    [661, 1008, 949, 1301, 1302, 1303, 1304, 1305],
-    [976, 1029, 666, 1306, 1307, 1308, 1309, 1310],
-    [670, 1036, 946, 1311, 1312, 1313, 1314, 1315],
-    [973, 1059, 675, 1316, 1317, 1318, 1319, 1320],
-    [681, 1072, 982, 1321, 1322, 1323, 1324, 1325],
-    [686, 1092, 983, 1326, 1327, 1328, 1329, 1330],
-    [689, 1018, 1002, 1331, 1332, 1333, 1334, 1335],
-    [704, 957, 1003, 1301, 1336, 1337, 1338, 1339],
-    [708, 1037, 947, 1311, 1340, 1341, 1342, 1343],
-    [715, 969, 1022, 1306, 1344, 1345, 1346, 1347],
-    [719, 1061, 967, 1316, 1348, 1349, 1350, 1351],
-    [1046, 1078, 693, 1352, 1353, 1354, 1355, 1356],
-    [697, 1053, 1090, 1357, 1358, 1359, 1360, 1361],
-    [725, 1070, 985, 1321, 1362, 1363, 1364, 1365],
-    [731, 987, 1088, 1326, 1366, 1367, 1368, 1369],
-    [737, 1019, 1000, 1331, 1370, 1371, 1372, 1373],
-    [762, 1039, 1073, 1352, 1374, 1375, 1376, 1377],
-    [769, 1055, 1087, 1357, 1378, 1379, 1380, 1381],
-    [1118, 742, 1004, 1382, 1383, 1384, 1385, 1386],
-    [751, 1131, 1020, 1387, 1388, 1389, 1390, 1391],
-    [1047, 1148, 746, 1392, 1393, 1394, 1395, 1396],
-    [756, 1161, 1056, 1397, 1398, 1399, 1400, 1401],
-    [1184, 1076, 773, 1402, 1403, 1404, 1405, 1406],
-    [779, 1202, 1091, 1407, 1408, 1409, 1410, 1411],
-    [784, 1010, 1109, 1382, 1412, 1413, 1414, 1415],
-    [1026, 1129, 788, 1387, 1416, 1417, 1418, 1419],
-    [801, 1040, 1143, 1392, 1420, 1421, 1422, 1423],
-    [1168, 1062, 811, 1397, 1424, 1425, 1426, 1427],
-    [806, 1079, 1178, 1402, 1428, 1429, 1430, 1431],
-    [1100, 817, 1196, 1407, 1432, 1433, 1434, 1435],
-    [793, 1142, 1105, 1436, 1437, 1438, 1439, 1440],
-    [796, 1162, 1126, 1441, 1442, 1443, 1444, 1445],
-    [821, 1177, 1192, 1446, 1447, 1448, 1449, 1450],
-    [826, 1214, 1106, 1451, 1452, 1453, 1454, 1455],
-    [829, 1123, 1212, 1456, 1457, 1458, 1459, 1460],
-    [853, 1140, 1108, 1436, 1461, 1462, 1463, 1464],
-    [1169, 1132, 859, 1441, 1465, 1466, 1467, 1468],
-    [834, 1149, 1229, 1469, 1470, 1471, 1472, 1473],
-    [839, 1180, 1231, 1474, 1475, 1476, 1477, 1478],
-    [843, 1158, 1243, 1479, 1480, 1481, 1482, 1483],
-    [848, 1253, 1194, 1484, 1485, 1486, 1487, 1488],
-    [865, 1176, 1195, 1446, 1489, 1490, 1491, 1492],
-    [871, 1110, 1210, 1451, 1493, 1494, 1495, 1496],
-    [876, 1125, 1209, 1456, 1497, 1498, 1499, 1500],
-    [1235, 1146, 880, 1469, 1501, 1502, 1503, 1504],
-    [885, 1159, 1244, 1479, 1505, 1506, 1507, 1508],
-    [1187, 1238, 890, 1474, 1509, 1510, 1511, 1512],
-    [896, 1200, 1245, 1484, 1513, 1514, 1515, 1516],
-    [901, 1213, 1259, 1517, 1518, 1519, 1520, 1521],
-    [1222, 906, 1264, 1517, 1522, 1523, 1524, 1525],
-    [910, 1228, 1260, 1526, 1527, 1528, 1529, 1530],
-    [914, 1254, 1262, 1531, 1532, 1533, 1534, 1535],
-    [918, 1227, 1263, 1526, 1536, 1537, 1538, 1539],
-    [923, 1268, 1246, 1531, 1540, 1541, 1542, 1543],
-    [
-      634, 690, 167, 665, 628, 660, 934, 1005, 963, 1016, 1280, 1332, 945, 1275,
-      1302, 1307, 1544, 1545, 1546, 1547, 1548, 1549, 1550, 1551, 1552, 1553,
-      1554, 1555, 1556, 1557, 1558, 1559,
-    ],
-    [
-      671, 694, 680, 188, 1074, 638, 950, 1034, 650, 1323, 984, 1312, 927, 1353,
-      1284, 1293, 1560, 1561, 1562, 1563, 1564, 1565, 1566, 1567, 1568, 1569,
-      1570, 1571, 1572, 1573, 1574, 1575,
-    ],
-    [
-      698, 645, 214, 676, 1094, 1290, 685, 655, 968, 930, 1052, 981, 1358, 1327,
-      1317, 1297, 1576, 1577, 1578, 1579, 1580, 1581, 1582, 1583, 1584, 1585,
-      1586, 1587, 1588, 1589, 1590, 1591,
-    ],
-    [
-      709, 747, 792, 236, 1144, 702, 951, 1035, 741, 1438, 1340, 1107, 999,
-      1393, 1336, 1383, 1592, 1593, 1594, 1595, 1596, 1597, 1598, 1599, 1600,
-      1601, 1602, 1603, 1604, 1605, 1606, 1607,
-    ],
-    [
-      755, 795, 253, 1160, 718, 750, 714, 1054, 1124, 964, 1017, 1398, 1442,
-      1348, 1388, 1344, 1608, 1609, 1610, 1611, 1612, 1613, 1614, 1615, 1616,
-      1617, 1618, 1619, 1620, 1621, 1622, 1623,
-    ],
-    [
-      726, 820, 287, 774, 990, 1449, 730, 778, 1179, 1069, 1193, 1086, 1362,
-      1366, 1403, 1408, 1624, 1625, 1626, 1627, 1628, 1629, 1630, 1631, 1632,
-      1633, 1634, 1635, 1636, 1637, 1638, 1639,
-    ],
-    [
-      830, 736, 309, 789, 1216, 1372, 825, 783, 1021, 1001, 1122, 1104, 1457,
-      1452, 1416, 1412, 1640, 1641, 1642, 1643, 1644, 1645, 1646, 1647, 1648,
-      1649, 1650, 1651, 1652, 1653, 1654, 1655,
-    ],
-    [
-      761, 800, 1038, 324, 805, 833, 838, 1071, 1141, 1174, 1225, 1374, 1420,
-      1428, 1470, 1475, 1656, 1657, 1658, 1659, 1660, 1661, 1662, 1663, 1664,
-      1665, 1666, 1667, 1668, 1669, 1670, 1671,
-    ],
-    [
-      844, 812, 768, 354, 1057, 846, 1156, 1247, 816, 1379, 1089, 1480, 1191,
-      1424, 1485, 1432, 1672, 1673, 1674, 1675, 1676, 1677, 1678, 1679, 1680,
-      1681, 1682, 1683, 1684, 1685, 1686, 1687,
-    ],
-    [
-      854, 909, 379, 881, 1113, 1529, 870, 900, 1230, 1139, 1261, 1208, 1461,
-      1493, 1501, 1518, 1688, 1689, 1690, 1691, 1692, 1693, 1694, 1695, 1696,
-      1697, 1698, 1699, 1700, 1701, 1702, 1703,
-    ],
-    [
-      886, 860, 875, 399, 1127, 912, 1157, 1248, 905, 1498, 1505, 1211, 1258,
-      1465, 1532, 1522, 1704, 1705, 1706, 1707, 1708, 1709, 1710, 1711, 1712,
-      1713, 1714, 1715, 1716, 1717, 1718, 1719,
-    ],
-    [
-      866, 919, 423, 891, 895, 922, 1197, 1265, 1175, 1226, 1489, 1536, 1242,
-      1513, 1540, 1509, 1720, 1721, 1722, 1723, 1724, 1725, 1726, 1727, 1728,
-      1729, 1730, 1731, 1732, 1733, 1734, 1735,
-    ],
-    [940, 1550, 1276, 1281, 1736, 1737, 1738, 1739],
-    [1286, 935, 1294, 1560, 1740, 1741, 1742, 1743],
-    [938, 1299, 1289, 1578, 1744, 1745, 1746, 1747],
-    [1277, 1304, 952, 1544, 1748, 1749, 1750, 1751],
-    [974, 1309, 1282, 1545, 1752, 1753, 1754, 1755],
-    [954, 1569, 1313, 1285, 1756, 1757, 1758, 1759],
-    [978, 1319, 1288, 1579, 1760, 1761, 1762, 1763],
-    [991, 1295, 1324, 1562, 1764, 1765, 1766, 1767],
-    [1329, 988, 1298, 1576, 1768, 1769, 1770, 1771],
-    [1012, 1551, 1303, 1333, 1772, 1773, 1774, 1775],
-    [1027, 1310, 1334, 1546, 1776, 1777, 1778, 1779],
-    [955, 1601, 1341, 1337, 1780, 1781, 1782, 1783],
-    [1345, 970, 1610, 1349, 1784, 1785, 1786, 1787],
-    [1048, 1314, 1354, 1561, 1788, 1789, 1790, 1791],
-    [1084, 1356, 1322, 1564, 1792, 1793, 1794, 1795],
-    [1063, 1360, 1318, 1577, 1796, 1797, 1798, 1799],
-    [1098, 1588, 1359, 1328, 1800, 1801, 1802, 1803],
-    [993, 1636, 1363, 1367, 1804, 1805, 1806, 1807],
-    [1338, 1006, 1384, 1592, 1808, 1809, 1810, 1811],
-    [1346, 1023, 1611, 1389, 1812, 1813, 1814, 1815],
-    [1049, 1342, 1394, 1593, 1816, 1817, 1818, 1819],
-    [1058, 1614, 1350, 1399, 1820, 1821, 1822, 1823],
-    [1080, 1364, 1404, 1625, 1824, 1825, 1826, 1827],
-    [1368, 1093, 1409, 1624, 1828, 1829, 1830, 1831],
-    [1009, 1414, 1371, 1642, 1832, 1833, 1834, 1835],
-    [1031, 1418, 1370, 1643, 1836, 1837, 1838, 1839],
-    [1669, 1376, 1422, 1041, 1840, 1841, 1842, 1843],
-    [1075, 1662, 1430, 1375, 1844, 1845, 1846, 1847],
-    [1067, 1427, 1378, 1676, 1848, 1849, 1850, 1851],
-    [1096, 1380, 1434, 1674, 1852, 1853, 1854, 1855],
-    [1114, 1385, 1439, 1594, 1856, 1857, 1858, 1859],
-    [1154, 1396, 1437, 1596, 1860, 1861, 1862, 1863],
-    [1128, 1615, 1390, 1443, 1864, 1865, 1866, 1867],
-    [1621, 1400, 1444, 1163, 1868, 1869, 1870, 1871],
-    [1189, 1405, 1447, 1627, 1872, 1873, 1874, 1875],
-    [1201, 1410, 1448, 1626, 1876, 1877, 1878, 1879],
-    [1454, 1111, 1413, 1640, 1880, 1881, 1882, 1883],
-    [1133, 1459, 1417, 1641, 1884, 1885, 1886, 1887],
-    [1145, 1663, 1472, 1421, 1888, 1889, 1890, 1891],
-    [1170, 1481, 1425, 1673, 1892, 1893, 1894, 1895],
-    [1476, 1181, 1658, 1429, 1896, 1897, 1898, 1899],
-    [1487, 1198, 1433, 1672, 1900, 1901, 1902, 1903],
-    [1220, 1652, 1458, 1453, 1904, 1905, 1906, 1907],
-    [1116, 1700, 1462, 1494, 1908, 1909, 1910, 1911],
-    [1150, 1463, 1502, 1689, 1912, 1913, 1914, 1915],
-    [1137, 1468, 1497, 1708, 1916, 1917, 1918, 1919],
-    [1171, 1506, 1466, 1705, 1920, 1921, 1922, 1923],
-    [1477, 1232, 1659, 1471, 1924, 1925, 1926, 1927],
-    [1251, 1681, 1482, 1486, 1928, 1929, 1930, 1931],
-    [1185, 1511, 1491, 1721, 1932, 1933, 1934, 1935],
-    [1204, 1726, 1514, 1490, 1936, 1937, 1938, 1939],
-    [1495, 1215, 1519, 1688, 1940, 1941, 1942, 1943],
-    [1218, 1499, 1524, 1706, 1944, 1945, 1946, 1947],
-    [1240, 1503, 1527, 1691, 1948, 1949, 1950, 1951],
-    [1252, 1713, 1507, 1533, 1952, 1953, 1954, 1955],
-    [1236, 1512, 1538, 1722, 1956, 1957, 1958, 1959],
-    [1515, 1542, 1250, 1720, 1960, 1961, 1962, 1963],
-    [1269, 1520, 1528, 1690, 1964, 1965, 1966, 1967],
-    [1534, 1266, 1523, 1704, 1968, 1969, 1970, 1971],
-    [1271, 1727, 1541, 1537, 1972, 1973, 1974, 1975],
-    [942, 1738, 1744, 1740, 1976, 1977, 1978, 1979],
-    [960, 1757, 1781, 1748, 1980, 1981, 1982, 1983],
-    [977, 1761, 1752, 1784, 1984, 1985, 1986, 1987],
-    [996, 1806, 1764, 1768, 1988, 1989, 1990, 1991],
-    [1014, 1774, 1832, 1808, 1992, 1993, 1994, 1995],
-    [1030, 1837, 1776, 1812, 1996, 1997, 1998, 1999],
-    [1044, 1840, 1788, 1816, 2000, 2001, 2002, 2003],
-    [1065, 1849, 1820, 1796, 2004, 2005, 2006, 2007],
-    [1082, 1793, 1844, 1824, 2008, 2009, 2010, 2011],
-    [1101, 1802, 1852, 1828, 2012, 2013, 2014, 2015],
-    [1119, 1910, 1856, 1880, 2016, 2017, 2018, 2019],
-    [1135, 1917, 1864, 1884, 2020, 2021, 2022, 2023],
-    [1152, 1861, 1888, 1912, 2024, 2025, 2026, 2027],
-    [1166, 1868, 1892, 1920, 2028, 2029, 2030, 2031],
-    [1188, 1873, 1896, 1932, 2032, 2033, 2034, 2035],
-    [1206, 1938, 1876, 1900, 2036, 2037, 2038, 2039],
-    [1223, 1906, 1944, 1940, 2040, 2041, 2042, 2043],
-    [1239, 1949, 1924, 1956, 2044, 2045, 2046, 2047],
-    [1257, 1929, 1953, 1960, 2048, 2049, 2050, 2051],
-    [1273, 1974, 1964, 1968, 2052, 2053, 2054, 2055],
-    [
-      1743, 1287, 958, 1750, 1278, 939, 1566, 1756, 1981, 1548, 1736, 1977,
-      2056, 2057, 2058, 2059, 2060, 2061, 2062, 2063, 2064, 2065, 2066, 2067,
-      2068, 2069, 2070, 2071, 2072, 2073, 2074, 2075,
-    ],
-    [
-      1291, 1283, 1556, 971, 1754, 936, 1762, 1746, 1737, 1580, 1984, 1976,
-      2056, 2076, 2077, 2078, 2079, 2080, 2081, 2082, 2083, 2084, 2085, 2086,
-      2087, 2088, 2089, 2090, 2091, 2092, 2093, 2094,
-    ],
-    [
-      994, 941, 1296, 1300, 1742, 1771, 1991, 1978, 1765, 1745, 1565, 1581,
-      2057, 2076, 2095, 2096, 2097, 2098, 2099, 2100, 2101, 2102, 2103, 2104,
-      2105, 2106, 2107, 2108, 2109, 2110, 2111, 2112,
-    ],
-    [1558, 1739, 2077, 2058, 2113, 2114, 2115, 2116],
-    [1570, 1741, 2059, 2096, 2117, 2118, 2119, 2120],
-    [1590, 1747, 2078, 2095, 2121, 2122, 2123, 2124],
-    [1553, 1749, 2061, 2114, 2125, 2126, 2127, 2128],
-    [1755, 1554, 2082, 2113, 2129, 2130, 2131, 2132],
-    [1575, 1759, 2117, 2060, 2133, 2134, 2135, 2136],
-    [1763, 1589, 2081, 2121, 2137, 2138, 2139, 2140],
-    [1574, 1767, 2118, 2097, 2141, 2142, 2143, 2144],
-    [1586, 1770, 2122, 2098, 2145, 2146, 2147, 2148],
-    [1559, 1775, 2126, 2149, 2150, 2151, 2152, 2153],
-    [1779, 1555, 2130, 2149, 2154, 2155, 2156, 2157],
-    [1791, 1571, 2133, 2158, 2159, 2160, 2161, 2162],
-    [1795, 1573, 2141, 2158, 2163, 2164, 2165, 2166],
-    [1798, 1587, 2138, 2167, 2168, 2169, 2170, 2171],
-    [1591, 1803, 2145, 2167, 2172, 2173, 2174, 2175],
-    [
-      1811, 1339, 959, 1751, 1305, 1011, 1598, 1780, 1982, 1549, 1772, 1993,
-      2125, 2062, 2150, 2176, 2177, 2178, 2179, 2180, 2181, 2182, 2183, 2184,
-      2185, 2186, 2187, 2188, 2189, 2190, 2191, 2192,
-    ],
-    [
-      1347, 975, 1028, 1786, 1814, 1308, 1987, 1999, 1613, 1753, 1777, 1547,
-      2080, 2129, 2154, 2193, 2194, 2195, 2196, 2197, 2198, 2199, 2200, 2201,
-      2202, 2203, 2204, 2205, 2206, 2207, 2208, 2209,
-    ],
-    [
-      1045, 1315, 1343, 1790, 1818, 1572, 1604, 953, 1758, 1782, 2000, 1980,
-      2160, 2134, 2063, 2176, 2210, 2211, 2212, 2213, 2214, 2215, 2216, 2217,
-      2218, 2219, 2220, 2221, 2222, 2223, 2224, 2225,
-    ],
-    [
-      1351, 1787, 2007, 1066, 1821, 972, 1616, 1320, 1797, 1760, 1985, 1582,
-      2079, 2137, 2168, 2193, 2226, 2227, 2228, 2229, 2230, 2231, 2232, 2233,
-      2234, 2235, 2236, 2237, 2238, 2239, 2240, 2241,
-    ],
-    [
-      1325, 1827, 1081, 1365, 1794, 989, 1633, 1766, 1805, 2008, 1563, 1988,
-      2142, 2099, 2163, 2242, 2243, 2244, 2245, 2246, 2247, 2248, 2249, 2250,
-      2251, 2252, 2253, 2254, 2255, 2256, 2257, 2258,
-    ],
-    [
-      1330, 1369, 1831, 992, 1097, 1583, 1631, 1769, 1800, 1804, 1989, 2013,
-      2100, 2146, 2172, 2242, 2259, 2260, 2261, 2262, 2263, 2264, 2265, 2266,
-      2267, 2268, 2269, 2270, 2271, 2272, 2273, 2274,
-    ],
-    [1607, 1783, 2211, 2178, 2275, 2276, 2277, 2278],
-    [1618, 1785, 2227, 2195, 2279, 2280, 2281, 2282],
-    [1639, 1807, 2244, 2260, 2283, 2284, 2285, 2286],
-    [
-      1373, 1335, 1557, 1024, 1778, 1007, 1838, 1834, 1773, 1644, 1996, 1992,
-      2155, 2151, 2194, 2177, 2287, 2288, 2289, 2290, 2291, 2292, 2293, 2294,
-      2295, 2296, 2297, 2298, 2299, 2300, 2301, 2302,
-    ],
-    [
-      1842, 1377, 1042, 1846, 1077, 1355, 2002, 1789, 1792, 1567, 2009, 1656,
-      2159, 2164, 2210, 2243, 2303, 2304, 2305, 2306, 2307, 2308, 2309, 2310,
-      2311, 2312, 2313, 2314, 2315, 2316, 2317, 2318,
-    ],
-    [
-      1381, 1799, 1064, 1361, 1850, 1585, 1095, 1854, 1801, 2004, 1675, 2012,
-      2169, 2173, 2226, 2259, 2319, 2320, 2321, 2322, 2323, 2324, 2325, 2326,
-      2327, 2328, 2329, 2330, 2331, 2332, 2333, 2334,
-    ],
-    [1602, 1809, 2179, 2276, 2335, 2336, 2337, 2338],
-    [1819, 1603, 2213, 2275, 2339, 2340, 2341, 2342],
-    [1619, 1813, 2196, 2279, 2343, 2344, 2345, 2346],
-    [1622, 1823, 2280, 2228, 2347, 2348, 2349, 2350],
-    [1826, 1635, 2246, 2283, 2351, 2352, 2353, 2354],
-    [1634, 1829, 2261, 2284, 2355, 2356, 2357, 2358],
-    [
-      1117, 1013, 1386, 1415, 1810, 1882, 2019, 1994, 1857, 1833, 1597, 1645,
-      2180, 2335, 2287, 2359, 2360, 2361, 2362, 2363, 2364, 2365, 2366, 2367,
-      2368, 2369, 2370, 2371, 2372, 2373, 2374, 2375,
-    ],
-    [1654, 1835, 2290, 2359, 2376, 2377, 2378, 2379],
-    [1839, 1653, 2289, 2376, 2380, 2381, 2382, 2383],
-    [1606, 1859, 2336, 2360, 2384, 2385, 2386, 2387],
-    [1863, 1605, 2340, 2384, 2388, 2389, 2390, 2391],
-    [
-      1391, 1815, 2023, 1136, 1865, 1025, 1617, 1419, 1885, 1836, 1997, 1646,
-      2197, 2343, 2288, 2380, 2392, 2393, 2394, 2395, 2396, 2397, 2398, 2399,
-      2400, 2401, 2402, 2403, 2404, 2405, 2406, 2407,
-    ],
-    [
-      1843, 1423, 1043, 1890, 1147, 1395, 2003, 1817, 1860, 1599, 2025, 1657,
-      2212, 2339, 2303, 2388, 2408, 2409, 2410, 2411, 2412, 2413, 2414, 2415,
-      2416, 2417, 2418, 2419, 2420, 2421, 2422, 2423,
-    ],
-    [1623, 1867, 2344, 2392, 2424, 2425, 2426, 2427],
-    [1620, 1869, 2347, 2424, 2428, 2429, 2430, 2431],
-    [1668, 1841, 2305, 2408, 2432, 2433, 2434, 2435],
-    [1670, 1847, 2306, 2432, 2436, 2437, 2438, 2439],
-    [
-      1870, 1401, 1164, 1822, 1060, 1426, 2030, 1893, 1848, 1678, 2005, 1609,
-      2348, 2229, 2320, 2428, 2440, 2441, 2442, 2443, 2444, 2445, 2446, 2447,
-      2448, 2449, 2450, 2451, 2452, 2453, 2454, 2455,
-    ],
-    [
-      1431, 1899, 2011, 1083, 1845, 1664, 1182, 1406, 1825, 1872, 2033, 1630,
-      2304, 2245, 2351, 2436, 2456, 2457, 2458, 2459, 2460, 2461, 2462, 2463,
-      2464, 2465, 2466, 2467, 2468, 2469, 2470, 2471,
-    ],
-    [1851, 1685, 2321, 2440, 2472, 2473, 2474, 2475],
-    [1686, 1855, 2322, 2472, 2476, 2477, 2478, 2479],
-    [1875, 1637, 2352, 2456, 2480, 2481, 2482, 2483],
-    [1638, 1879, 2356, 2480, 2484, 2485, 2486, 2487],
-    [
-      1099, 1205, 1435, 1411, 1902, 1830, 2015, 2038, 1853, 1877, 1677, 1629,
-      2262, 2355, 2319, 2476, 2484, 2488, 2489, 2490, 2491, 2492, 2493, 2494,
-      2495, 2496, 2497, 2498, 2499, 2500, 2501, 2502,
-    ],
-    [1650, 1881, 2377, 2362, 2503, 2504, 2505, 2506],
-    [1886, 1651, 2381, 2393, 2507, 2508, 2509, 2510],
-    [1671, 1891, 2411, 2433, 2511, 2512, 2513, 2514],
-    [1666, 1897, 2437, 2458, 2515, 2516, 2517, 2518],
-    [1895, 1683, 2473, 2442, 2519, 2520, 2521, 2522],
-    [1682, 1901, 2477, 2489, 2523, 2524, 2525, 2526],
-    [
-      1440, 1915, 1151, 1464, 1862, 1112, 1697, 1858, 1909, 2024, 1595, 2016,
-      2385, 2389, 2409, 2361, 2527, 2528, 2529, 2530, 2531, 2532, 2533, 2534,
-      2535, 2536, 2537, 2538, 2539, 2540, 2541, 2542,
-    ],
-    [
-      1871, 1445, 1165, 1866, 1130, 1467, 2031, 1921, 1916, 1710, 2021, 1608,
-      2425, 2429, 2395, 2441, 2543, 2544, 2545, 2546, 2547, 2548, 2549, 2550,
-      2551, 2552, 2553, 2554, 2555, 2556, 2557, 2558,
-    ],
-    [
-      1450, 1492, 1183, 1732, 1934, 1199, 1874, 1878, 1937, 1628, 2032, 2036,
-      2485, 2481, 2457, 2488, 2559, 2560, 2561, 2562, 2563, 2564, 2565, 2566,
-      2567, 2568, 2569, 2570, 2571, 2572, 2573, 2574,
-    ],
-    [1655, 1907, 2503, 2507, 2575, 2576, 2577, 2578],
-    [1667, 1925, 2512, 2515, 2579, 2580, 2581, 2582],
-    [1687, 1931, 2523, 2519, 2583, 2584, 2585, 2586],
-    [
-      1455, 1496, 1883, 1115, 1219, 1647, 1695, 1941, 1904, 1908, 2017, 2041,
-      2363, 2504, 2575, 2527, 2587, 2588, 2589, 2590, 2591, 2592, 2593, 2594,
-      2595, 2596, 2597, 2598, 2599, 2600, 2601, 2602,
-    ],
-    [
-      1500, 1887, 1134, 1460, 1918, 1649, 1217, 1946, 1905, 2020, 1707, 2040,
-      2508, 2394, 2576, 2543, 2587, 2603, 2604, 2605, 2606, 2607, 2608, 2609,
-      2610, 2611, 2612, 2613, 2614, 2615, 2616, 2617,
-    ],
-    [
-      1473, 1927, 2027, 1153, 1889, 1665, 1233, 1504, 1913, 1948, 2045, 1694,
-      2410, 2511, 2580, 2528, 2618, 2619, 2620, 2621, 2622, 2623, 2624, 2625,
-      2626, 2627, 2628, 2629, 2630, 2631, 2632, 2633,
-    ],
-    [
-      1167, 1483, 1508, 1894, 1922, 1684, 1716, 1249, 1930, 1954, 2028, 2048,
-      2520, 2443, 2584, 2544, 2634, 2635, 2636, 2637, 2638, 2639, 2640, 2641,
-      2642, 2643, 2644, 2645, 2646, 2647, 2648, 2649,
-    ],
-    [
-      1478, 1186, 1237, 1898, 1926, 1510, 2035, 2047, 1661, 1933, 1957, 1723,
-      2459, 2516, 2579, 2560, 2618, 2650, 2651, 2652, 2653, 2654, 2655, 2656,
-      2657, 2658, 2659, 2660, 2661, 2662, 2663, 2664,
-    ],
-    [
-      1903, 1488, 1255, 1962, 1516, 1203, 1679, 1928, 2049, 1724, 1936, 2037,
-      2490, 2524, 2583, 2559, 2634, 2665, 2666, 2667, 2668, 2669, 2670, 2671,
-      2672, 2673, 2674, 2675, 2676, 2677, 2678, 2679,
-    ],
-    [1703, 1911, 2529, 2588, 2680, 2681, 2682, 2683],
-    [1914, 1699, 2530, 2619, 2680, 2684, 2685, 2686],
-    [1919, 1717, 2545, 2603, 2687, 2688, 2689, 2690],
-    [1923, 1715, 2637, 2546, 2687, 2691, 2692, 2693],
-    [1935, 1730, 2562, 2650, 2694, 2695, 2696, 2697],
-    [1734, 1939, 2561, 2665, 2694, 2698, 2699, 2700],
-    [1698, 1942, 2589, 2681, 2701, 2702, 2703, 2704],
-    [1718, 1947, 2605, 2688, 2705, 2706, 2707, 2708],
-    [1951, 1701, 2684, 2620, 2709, 2710, 2711, 2712],
-    [1719, 1955, 2636, 2691, 2713, 2714, 2715, 2716],
-    [1959, 1731, 2695, 2651, 2717, 2718, 2719, 2720],
-    [1961, 1729, 2698, 2667, 2721, 2722, 2723, 2724],
-    [1702, 1967, 2702, 2709, 2725, 2726, 2727, 2728],
-    [1714, 1969, 2706, 2714, 2729, 2730, 2731, 2732],
-    [1735, 1975, 2721, 2717, 2733, 2734, 2735, 2736],
-    [
-      1221, 1272, 1525, 1521, 1970, 1943, 2043, 2054, 1945, 1965, 1709, 1693,
-      2590, 2604, 2701, 2705, 2729, 2725, 2737, 2738, 2739, 2740, 2741, 2742,
-      2743, 2744, 2745, 2746, 2747, 2748, 2749, 2750,
-    ],
-    [
-      1530, 1539, 1234, 1733, 1958, 1267, 1950, 1966, 1973, 1692, 2044, 2052,
-      2718, 2710, 2652, 2621, 2726, 2734, 2737, 2751, 2752, 2753, 2754, 2755,
-      2756, 2757, 2758, 2759, 2760, 2761, 2762, 2763,
-    ],
-    [
-      1971, 1535, 1256, 1963, 1543, 1270, 1711, 1952, 2050, 1725, 1972, 2053,
-      2635, 2666, 2722, 2713, 2730, 2733, 2738, 2751, 2764, 2765, 2766, 2767,
-      2768, 2769, 2770, 2771, 2772, 2773, 2774, 2775,
-    ],
-    [1979, 2105, 2064, 2083, 2776, 2777, 2778, 2779],
-    [1983, 2067, 2184, 2214, 2780, 2781, 2782, 2783],
-    [2202, 1986, 2231, 2084, 2784, 2785, 2786, 2787],
-    [2106, 1990, 2263, 2247, 2788, 2789, 2790, 2791],
-    [1995, 2368, 2181, 2291, 2792, 2793, 2794, 2795],
-    [2203, 1998, 2397, 2292, 2796, 2797, 2798, 2799],
-    [2312, 2417, 2001, 2215, 2800, 2801, 2802, 2803],
-    [2239, 2006, 2445, 2325, 2804, 2805, 2806, 2807],
-    [2469, 2010, 2308, 2249, 2808, 2809, 2810, 2811],
-    [2496, 2014, 2264, 2323, 2812, 2813, 2814, 2815],
-    [2369, 2018, 2591, 2531, 2816, 2817, 2818, 2819],
-    [2405, 2022, 2548, 2608, 2820, 2821, 2822, 2823],
-    [2631, 2026, 2413, 2533, 2824, 2825, 2826, 2827],
-    [2449, 2552, 2029, 2639, 2828, 2829, 2830, 2831],
-    [2657, 2034, 2461, 2564, 2832, 2833, 2834, 2835],
-    [2039, 2495, 2668, 2563, 2836, 2837, 2838, 2839],
-    [2744, 2042, 2592, 2606, 2840, 2841, 2842, 2843],
-    [2658, 2046, 2623, 2753, 2844, 2845, 2846, 2847],
-    [2051, 2671, 2767, 2638, 2848, 2849, 2850, 2851],
-    [2055, 2743, 2764, 2752, 2852, 2853, 2854, 2855],
-    [2115, 2778, 2086, 2065, 2856, 2857, 2858, 2859],
-    [2075, 2108, 2119, 2776, 2860, 2861, 2862, 2863],
-    [2123, 2087, 2103, 2777, 2864, 2865, 2866, 2867],
-    [2072, 2189, 2128, 2780, 2868, 2869, 2870, 2871],
-    [2132, 2090, 2199, 2784, 2872, 2873, 2874, 2875],
-    [2135, 2216, 2781, 2068, 2876, 2877, 2878, 2879],
-    [2140, 2088, 2786, 2232, 2880, 2881, 2882, 2883],
-    [2143, 2251, 2104, 2789, 2884, 2885, 2886, 2887],
-    [2107, 2147, 2267, 2788, 2888, 2889, 2890, 2891],
-    [2152, 2794, 2294, 2182, 2892, 2893, 2894, 2895],
-    [2157, 2298, 2200, 2796, 2896, 2897, 2898, 2899],
-    [2277, 2217, 2782, 2185, 2900, 2901, 2902, 2903],
-    [2240, 2205, 2281, 2785, 2904, 2905, 2906, 2907],
-    [2162, 2221, 2311, 2800, 2908, 2909, 2910, 2911],
-    [2166, 2254, 2810, 2310, 2912, 2913, 2914, 2915],
-    [2333, 2171, 2233, 2804, 2916, 2917, 2918, 2919],
-    [2174, 2814, 2326, 2265, 2920, 2921, 2922, 2923],
-    [2285, 2790, 2250, 2266, 2924, 2925, 2926, 2927],
-    [2192, 2371, 2337, 2792, 2928, 2929, 2930, 2931],
-    [2406, 2206, 2345, 2797, 2932, 2933, 2934, 2935],
-    [2342, 2222, 2416, 2801, 2936, 2937, 2938, 2939],
-    [2349, 2452, 2237, 2805, 2940, 2941, 2942, 2943],
-    [2257, 2354, 2463, 2808, 2944, 2945, 2946, 2947],
-    [2272, 2497, 2357, 2812, 2948, 2949, 2950, 2951],
-    [2378, 2295, 2366, 2793, 2952, 2953, 2954, 2955],
-    [2383, 2296, 2798, 2398, 2956, 2957, 2958, 2959],
-    [2318, 2423, 2434, 2802, 2960, 2961, 2962, 2963],
-    [2438, 2315, 2467, 2809, 2964, 2965, 2966, 2967],
-    [2475, 2330, 2806, 2447, 2968, 2969, 2970, 2971],
-    [2478, 2327, 2494, 2813, 2972, 2973, 2974, 2975],
-    [2386, 2535, 2367, 2817, 2976, 2977, 2978, 2979],
-    [2391, 2538, 2826, 2415, 2980, 2981, 2982, 2983],
-    [2426, 2555, 2403, 2821, 2984, 2985, 2986, 2987],
-    [2455, 2558, 2430, 2830, 2988, 2989, 2990, 2991],
-    [2483, 2568, 2834, 2462, 2992, 2993, 2994, 2995],
-    [2486, 2567, 2493, 2837, 2996, 2997, 2998, 2999],
-    [2600, 2370, 2505, 2816, 3000, 3001, 3002, 3003],
-    [2616, 2510, 2399, 2820, 3004, 3005, 3006, 3007],
-    [2513, 2420, 2629, 2825, 3008, 3009, 3010, 3011],
-    [2522, 2645, 2448, 2828, 3012, 3013, 3014, 3015],
-    [2470, 2660, 2517, 2832, 3016, 3017, 3018, 3019],
-    [2679, 2498, 2525, 2836, 3020, 3021, 3022, 3023],
-    [2577, 2842, 2609, 2593, 3024, 3025, 3026, 3027],
-    [2682, 2818, 2534, 2594, 3028, 3029, 3030, 3031],
-    [2541, 2686, 2625, 2824, 3032, 3033, 3034, 3035],
-    [2690, 2613, 2822, 2550, 3036, 3037, 3038, 3039],
-    [2693, 2646, 2551, 2829, 3040, 3041, 3042, 3043],
-    [2632, 2661, 2581, 2844, 3044, 3045, 3046, 3047],
-    [2585, 2640, 2849, 2672, 3048, 3049, 3050, 3051],
-    [2697, 2570, 2654, 2833, 3052, 3053, 3054, 3055],
-    [2699, 2838, 2566, 2669, 3056, 3057, 3058, 3059],
-    [2745, 2703, 2595, 2840, 3060, 3061, 3062, 3063],
-    [2707, 2610, 2742, 2841, 3064, 3065, 3066, 3067],
-    [2712, 2757, 2846, 2624, 3068, 3069, 3070, 3071],
-    [2715, 2641, 2850, 2768, 3072, 3073, 3074, 3075],
-    [2720, 2759, 2655, 2845, 3076, 3077, 3078, 3079],
-    [2676, 2772, 2723, 2848, 3080, 3081, 3082, 3083],
-    [2727, 2756, 2741, 2853, 3084, 3085, 3086, 3087],
-    [2775, 2746, 2731, 2852, 3088, 3089, 3090, 3091],
-    [2735, 2854, 2755, 2765, 3092, 3093, 3094, 3095],
-    [
-      2116, 2153, 2091, 2299, 2131, 2156, 2127, 1552, 2858, 2894, 2066, 2183,
-      2198, 2872, 2896, 2868, 3096, 3097, 3098, 3099, 3100, 3101, 3102, 3103,
-      3104, 3105, 3106, 3107, 3108, 3109, 3110, 3111,
-    ],
-    [
-      2136, 2144, 2165, 2219, 2161, 2120, 2878, 1568, 2069, 2309, 2102, 2912,
-      2248, 2884, 2908, 2860, 3112, 3113, 3114, 3115, 3116, 3117, 3118, 3119,
-      3120, 3121, 3122, 3123, 3124, 3125, 3126, 3127,
-    ],
-    [
-      2175, 2124, 2139, 2922, 2170, 2148, 2328, 1584, 2268, 2230, 2101, 2085,
-      2880, 2864, 2916, 2888, 3128, 3129, 3130, 3131, 3132, 3133, 3134, 3135,
-      3136, 3137, 3138, 3139, 3140, 3141, 3142, 3143,
-    ],
-    [
-      2278, 2387, 2390, 2220, 2341, 2338, 2902, 1600, 2186, 2414, 2365, 2980,
-      2532, 2976, 2936, 2928, 3144, 3145, 3146, 3147, 3148, 3149, 3150, 3151,
-      3152, 3153, 3154, 3155, 3156, 3157, 3158, 3159,
-    ],
-    [
-      2350, 2427, 2991, 2431, 2282, 2346, 2236, 2402, 2942, 2986, 2201, 1612,
-      2905, 2933, 2444, 2547, 3160, 3161, 3162, 3163, 3164, 3165, 3166, 3167,
-      3168, 3169, 3170, 3171, 3172, 3173, 3174, 3175,
-    ],
-    [
-      2286, 2487, 2482, 2926, 2353, 2358, 2253, 1632, 2269, 2460, 2491, 2565,
-      2992, 2996, 2944, 2948, 3176, 3177, 3178, 3179, 3180, 3181, 3182, 3183,
-      3184, 3185, 3186, 3187, 3188, 3189, 3190, 3191,
-    ],
-    [
-      2578, 2379, 2382, 3026, 2509, 2506, 2611, 1648, 2596, 2396, 2364, 2293,
-      2956, 2952, 3004, 3000, 3192, 3193, 3194, 3195, 3196, 3197, 3198, 3199,
-      3200, 3201, 3202, 3203, 3204, 3205, 3206, 3207,
-    ],
-    [
-      2439, 2514, 2963, 2435, 2518, 2582, 2465, 2627, 2966, 3010, 2656, 1660,
-      3017, 3045, 2412, 2307, 3208, 3209, 3210, 3211, 3212, 3213, 3214, 3215,
-      3216, 3217, 3218, 3219, 3220, 3221, 3222, 3223,
-    ],
-    [
-      2586, 2479, 2474, 2643, 2521, 2526, 3050, 1680, 2446, 2673, 2492, 2968,
-      2324, 2972, 3012, 3020, 3224, 3225, 3226, 3227, 3228, 3229, 3230, 3231,
-      3232, 3233, 3234, 3235, 3236, 3237, 3238, 3239,
-    ],
-    [
-      2683, 2728, 2711, 3030, 2685, 2704, 2537, 1696, 2597, 2622, 2739, 2754,
-      3068, 3084, 3032, 3060, 3240, 3241, 3242, 3243, 3244, 3245, 3246, 3247,
-      3248, 3249, 3250, 3251, 3252, 3253, 3254, 3255,
-    ],
-    [
-      2716, 2708, 2689, 2644, 2692, 2732, 3074, 1712, 2549, 2769, 2740, 3036,
-      2607, 3064, 3040, 3088, 3256, 3257, 3258, 3259, 3260, 3261, 3262, 3263,
-      3264, 3265, 3266, 3267, 3268, 3269, 3270, 3271,
-    ],
-    [
-      2700, 2736, 2572, 2761, 2696, 2719, 2724, 1728, 3058, 3094, 2670, 2766,
-      2653, 3052, 3076, 3080, 3272, 3273, 3274, 3275, 3276, 3277, 3278, 3279,
-      3280, 3281, 3282, 3283, 3284, 3285, 3286, 3287,
-    ],
-    [2071, 2870, 2857, 3097, 3288, 3289, 3290, 3291],
-    [2093, 2873, 2856, 3100, 3292, 3293, 3294, 3295],
-    [2074, 2863, 2876, 3113, 3288, 3296, 3297, 3298],
-    [2094, 3138, 2865, 2881, 3292, 3299, 3300, 3301],
-    [2110, 2885, 2861, 3112, 3302, 3303, 3304, 3305],
-    [2109, 2866, 2889, 3128, 3302, 3306, 3307, 3308],
-    [2188, 2871, 2893, 3098, 3309, 3310, 3311, 3312],
-    [2874, 2898, 2204, 3096, 3313, 3314, 3315, 3316],
-    [2223, 2877, 2910, 3117, 3317, 3318, 3319, 3320],
-    [2234, 2882, 2917, 3129, 3321, 3322, 3323, 3324],
-    [2258, 2886, 3118, 2913, 3325, 3326, 3327, 3328],
-    [2273, 2891, 2920, 3130, 3329, 3330, 3331, 3332],
-    [2301, 2897, 2892, 3101, 3333, 3334, 3335, 3336],
-    [2191, 2931, 2900, 3145, 3309, 3337, 3338, 3339],
-    [2224, 2901, 2938, 3148, 3317, 3340, 3341, 3342],
-    [2209, 2907, 2935, 3160, 3313, 3343, 3344, 3345],
-    [2241, 2941, 2904, 3161, 3321, 3346, 3347, 3348],
-    [2914, 2313, 2909, 3114, 3349, 3350, 3351, 3352],
-    [2331, 2918, 2921, 3131, 3353, 3354, 3355, 3356],
-    [2255, 2946, 2925, 3179, 3325, 3357, 3358, 3359],
-    [2274, 2951, 2924, 3178, 3329, 3360, 3361, 3362],
-    [2302, 3202, 2953, 2957, 3333, 3363, 3364, 3365],
-    [2317, 2961, 2964, 3211, 3349, 3366, 3367, 3368],
-    [2334, 2973, 3230, 2969, 3353, 3369, 3370, 3371],
-    [2373, 2977, 2929, 3144, 3372, 3373, 3374, 3375],
-    [2407, 2985, 2932, 3162, 3376, 3377, 3378, 3379],
-    [2982, 2418, 2937, 3146, 3380, 3381, 3382, 3383],
-    [2454, 2989, 2940, 3163, 3384, 3385, 3386, 3387],
-    [2464, 2994, 2945, 3177, 3388, 3389, 3390, 3391],
-    [2499, 2998, 2949, 3176, 3392, 3393, 3394, 3395],
-    [2372, 2954, 3001, 3192, 3372, 3396, 3397, 3398],
-    [2400, 2958, 3005, 3193, 3376, 3399, 3400, 3401],
-    [2422, 2962, 3008, 3212, 3380, 3402, 3403, 3404],
-    [2970, 2450, 3013, 3226, 3384, 3405, 3406, 3407],
-    [2471, 2965, 3016, 3209, 3388, 3408, 3409, 3410],
-    [2500, 2974, 3021, 3224, 3392, 3411, 3412, 3413],
-    [2542, 2978, 3150, 2981, 3414, 3415, 3416, 3417],
-    [2557, 2990, 2984, 3164, 3418, 3419, 3420, 3421],
-    [2574, 3186, 2997, 2993, 3422, 3423, 3424, 3425],
-    [2601, 3003, 3024, 3194, 3426, 3427, 3428, 3429],
-    [2614, 3006, 3025, 3195, 3430, 3431, 3432, 3433],
-    [2539, 3034, 3029, 3243, 3414, 3434, 3435, 3436],
-    [3038, 2553, 3041, 3258, 3418, 3437, 3438, 3439],
-    [2633, 3009, 3044, 3210, 3440, 3441, 3442, 3443],
-    [2664, 3019, 3047, 3208, 3444, 3445, 3446, 3447],
-    [2647, 3014, 3049, 3229, 3448, 3449, 3450, 3451],
-    [2678, 3023, 3048, 3225, 3452, 3453, 3454, 3455],
-    [2573, 3053, 3056, 3276, 3422, 3456, 3457, 3458],
-    [2602, 3063, 3028, 3242, 3426, 3459, 3460, 3461],
-    [2617, 3065, 3262, 3037, 3430, 3462, 3463, 3464],
-    [2626, 3070, 3033, 3241, 3440, 3465, 3466, 3467],
-    [2648, 3042, 3073, 3260, 3448, 3468, 3469, 3470],
-    [3054, 3078, 2659, 3272, 3444, 3471, 3472, 3473],
-    [2675, 3082, 3057, 3273, 3452, 3474, 3475, 3476],
-    [2747, 3086, 3061, 3240, 3477, 3478, 3479, 3480],
-    [2748, 3066, 3089, 3256, 3477, 3481, 3482, 3483],
-    [2763, 3250, 3085, 3069, 3484, 3485, 3486, 3487],
-    [2774, 3091, 3072, 3257, 3488, 3489, 3490, 3491],
-    [2762, 3077, 3092, 3277, 3484, 3492, 3493, 3494],
-    [2771, 3083, 3093, 3274, 3488, 3495, 3496, 3497],
-    [
-      2779, 2111, 2859, 2070, 2867, 3290, 2089, 2862, 3104, 3303, 3293, 3296,
-      3133, 3299, 3306, 3115, 3498, 3499, 3500, 3501, 3502, 3503, 3504, 3505,
-      3506, 3507, 3508, 3509, 3510, 3511, 3512, 3513,
-    ],
-    [
-      2783, 2073, 2190, 3297, 3338, 2879, 2903, 2869, 2218, 3120, 3152, 3289,
-      3310, 3318, 3340, 3099, 3499, 3514, 3515, 3516, 3517, 3518, 3519, 3520,
-      3521, 3522, 3523, 3524, 3525, 3526, 3527, 3528,
-    ],
-    [
-      2883, 2787, 3315, 2207, 2875, 3324, 2092, 2235, 2906, 3343, 3135, 3346,
-      3300, 3294, 3102, 3165, 3498, 3529, 3530, 3531, 3532, 3533, 3534, 3535,
-      3536, 3537, 3538, 3539, 3540, 3541, 3542, 3543,
-    ],
-    [
-      2791, 3305, 2112, 2927, 2270, 2887, 2252, 3187, 2890, 3361, 3307, 3357,
-      3116, 3330, 3326, 3132, 3500, 3544, 3545, 3546, 3547, 3548, 3549, 3550,
-      3551, 3552, 3553, 3554, 3555, 3556, 3557, 3558,
-    ],
-    [
-      2795, 2374, 2895, 2187, 3397, 2955, 3311, 2297, 2930, 3105, 3373, 3334,
-      3337, 3197, 3363, 3147, 3515, 3559, 3560, 3561, 3562, 3563, 3564, 3565,
-      3566, 3567, 3568, 3569, 3570, 3571, 3572, 3573,
-    ],
-    [
-      2959, 2799, 3316, 2208, 2899, 3401, 2300, 2401, 2934, 3344, 3199, 3377,
-      3364, 3335, 3103, 3166, 3529, 3559, 3574, 3575, 3576, 3577, 3578, 3579,
-      3580, 3581, 3582, 3583, 3584, 3585, 3586, 3587,
-    ],
-    [
-      2911, 2939, 3352, 3383, 2225, 2803, 2316, 2421, 2960, 3367, 3403, 3220,
-      3319, 3341, 3121, 3153, 3514, 3588, 3589, 3590, 3591, 3592, 3593, 3594,
-      3595, 3596, 3597, 3598, 3599, 3600, 3601, 3602,
-    ],
-    [
-      2971, 2238, 2807, 2332, 2919, 3347, 3406, 2451, 3323, 2943, 3235, 3385,
-      3370, 3167, 3355, 3134, 3530, 3603, 3604, 3605, 3606, 3607, 3608, 3609,
-      3610, 3611, 3612, 3613, 3614, 3615, 3616, 3617,
-    ],
-    [
-      2915, 2468, 2811, 2256, 2947, 3351, 3409, 2314, 3390, 2967, 3123, 3366,
-      3327, 3215, 3358, 3181, 3544, 3588, 3618, 3619, 3620, 3621, 3622, 3623,
-      3624, 3625, 3626, 3627, 3628, 3629, 3630, 3631,
-    ],
-    [
-      2815, 3413, 2502, 2923, 2271, 2975, 3139, 2329, 2950, 3331, 3393, 3354,
-      3228, 3360, 3369, 3180, 3545, 3603, 3632, 3633, 3634, 3635, 3636, 3637,
-      3638, 3639, 3640, 3641, 3642, 3643, 3644, 3645,
-    ],
-    [
-      2819, 3375, 2375, 3031, 2598, 2979, 2536, 3251, 3002, 3460, 3396, 3434,
-      3149, 3427, 3415, 3196, 3560, 3646, 3647, 3648, 3649, 3650, 3651, 3652,
-      3653, 3654, 3655, 3656, 3657, 3658, 3659, 3660,
-    ],
-    [
-      3039, 2404, 2823, 2615, 3007, 3378, 3438, 2554, 3400, 2987, 3267, 3419,
-      3463, 3168, 3432, 3198, 3574, 3661, 3662, 3663, 3664, 3665, 3666, 3667,
-      3668, 3669, 3670, 3671, 3672, 3673, 3674, 3675,
-    ],
-    [
-      2983, 2630, 2827, 2540, 3035, 3382, 3442, 2419, 3466, 3011, 3155, 3402,
-      3416, 3216, 3435, 3245, 3589, 3646, 3676, 3677, 3678, 3679, 3680, 3681,
-      3682, 3683, 3684, 3685, 3686, 3687, 3688, 3689,
-    ],
-    [
-      3015, 3043, 3407, 3439, 2649, 2831, 2453, 2556, 2988, 3386, 3420, 3173,
-      3450, 3469, 3232, 3264, 3604, 3661, 3690, 3691, 3692, 3693, 3694, 3695,
-      3696, 3697, 3698, 3699, 3700, 3701, 3702, 3703,
-    ],
-    [
-      2995, 2835, 3472, 2662, 3055, 3391, 2466, 2571, 3018, 3445, 3183, 3408,
-      3424, 3457, 3213, 3278, 3618, 3704, 3705, 3706, 3707, 3708, 3709, 3710,
-      3711, 3712, 3713, 3714, 3715, 3716, 3717, 3718,
-    ],
-    [
-      2839, 2501, 3059, 2674, 3394, 2999, 3475, 2569, 3022, 3280, 3411, 3453,
-      3456, 3182, 3423, 3227, 3632, 3704, 3719, 3720, 3721, 3722, 3723, 3724,
-      3725, 3726, 3727, 3728, 3729, 3730, 3731, 3732,
-    ],
-    [
-      2843, 3483, 2750, 3027, 2599, 3067, 3203, 2612, 3062, 3428, 3479, 3431,
-      3261, 3459, 3462, 3244, 3647, 3662, 3733, 3734, 3735, 3736, 3737, 3738,
-      3739, 3740, 3741, 3742, 3743, 3744, 3745, 3746,
-    ],
-    [
-      3071, 2847, 3473, 2663, 3079, 3467, 2628, 2760, 3046, 3446, 3247, 3441,
-      3486, 3493, 3214, 3279, 3676, 3705, 3747, 3748, 3749, 3750, 3751, 3752,
-      3753, 3754, 3755, 3756, 3757, 3758, 3759, 3760,
-    ],
-    [
-      2851, 2677, 2773, 3454, 3490, 3051, 3075, 2642, 3081, 3233, 3265, 3474,
-      3495, 3449, 3468, 3275, 3719, 3690, 3761, 3762, 3763, 3764, 3765, 3766,
-      3767, 3768, 3769, 3770, 3771, 3772, 3773, 3774,
-    ],
-    [
-      2855, 2749, 3095, 2770, 3087, 3496, 2758, 3090, 3281, 3481, 3489, 3492,
-      3246, 3485, 3478, 3259, 3733, 3761, 3747, 3775, 3776, 3777, 3778, 3779,
-      3780, 3781, 3782, 3783, 3784, 3785, 3786, 3787,
-    ],
-    [3291, 3106, 3501, 3516, 3788, 3789, 3790, 3791],
-    [3110, 3295, 3505, 3531, 3788, 3792, 3793, 3794],
-    [3298, 3526, 3122, 3502, 3795, 3796, 3797, 3798],
-    [3301, 3142, 3532, 3503, 3799, 3800, 3801, 3802],
-    [3304, 3119, 3551, 3504, 3795, 3803, 3804, 3805],
-    [3308, 3136, 3506, 3547, 3799, 3806, 3807, 3808],
-    [3312, 3107, 3564, 3517, 3789, 3809, 3810, 3811],
-    [3108, 3314, 3533, 3577, 3792, 3812, 3813, 3814],
-    [3127, 3320, 3518, 3590, 3796, 3815, 3816, 3817],
-    [3140, 3322, 3536, 3606, 3800, 3818, 3819, 3820],
-    [3328, 3125, 3620, 3548, 3803, 3821, 3822, 3823],
-    [3332, 3137, 3639, 3546, 3806, 3824, 3825, 3826],
-    [3111, 3336, 3565, 3575, 3812, 3809, 3827, 3828],
-    [3126, 3350, 3623, 3592, 3815, 3821, 3829, 3830],
-    [3143, 3356, 3636, 3605, 3818, 3824, 3831, 3832],
-    [3339, 3527, 3154, 3561, 3833, 3834, 3835, 3836],
-    [3159, 3342, 3519, 3591, 3833, 3837, 3838, 3839],
-    [3345, 3169, 3535, 3579, 3840, 3841, 3842, 3843],
-    [3617, 3348, 3170, 3534, 3840, 3844, 3845, 3846],
-    [3191, 3359, 3549, 3619, 3847, 3848, 3849, 3850],
-    [3362, 3185, 3552, 3633, 3847, 3851, 3852, 3853],
-    [3365, 3206, 3576, 3562, 3854, 3855, 3856, 3857],
-    [3374, 3151, 3653, 3563, 3834, 3858, 3859, 3860],
-    [3158, 3381, 3681, 3593, 3837, 3861, 3862, 3863],
-    [3675, 3379, 3171, 3578, 3841, 3864, 3865, 3866],
-    [3702, 3387, 3174, 3611, 3844, 3867, 3868, 3869],
-    [3601, 3368, 3222, 3625, 3870, 3871, 3872, 3873],
-    [3371, 3237, 3607, 3635, 3874, 3875, 3876, 3877],
-    [3188, 3389, 3711, 3621, 3848, 3878, 3879, 3880],
-    [3395, 3184, 3725, 3634, 3851, 3881, 3882, 3883],
-    [3398, 3200, 3566, 3649, 3854, 3884, 3885, 3886],
-    [3204, 3399, 3580, 3664, 3855, 3887, 3888, 3889],
-    [3417, 3157, 3678, 3650, 3861, 3858, 3890, 3891],
-    [3703, 3421, 3175, 3669, 3864, 3867, 3892, 3893],
-    [3602, 3404, 3223, 3683, 3870, 3894, 3895, 3896],
-    [3631, 3410, 3218, 3709, 3871, 3897, 3898, 3899],
-    [3238, 3405, 3609, 3693, 3875, 3900, 3901, 3902],
-    [3412, 3231, 3638, 3721, 3874, 3903, 3904, 3905],
-    [3425, 3190, 3707, 3722, 3878, 3881, 3906, 3907],
-    [3429, 3201, 3740, 3648, 3884, 3908, 3909, 3910],
-    [3207, 3433, 3737, 3663, 3887, 3908, 3911, 3912],
-    [3689, 3443, 3219, 3751, 3894, 3913, 3914, 3915],
-    [3447, 3217, 3710, 3752, 3897, 3913, 3916, 3917],
-    [3239, 3451, 3764, 3691, 3900, 3918, 3919, 3920],
-    [3455, 3772, 3234, 3720, 3903, 3918, 3921, 3922],
-    [3255, 3436, 3651, 3677, 3923, 3924, 3925, 3926],
-    [3270, 3437, 3667, 3694, 3927, 3928, 3929, 3930],
-    [3286, 3458, 3724, 3706, 3931, 3932, 3933, 3934],
-    [3461, 3249, 3654, 3734, 3923, 3935, 3936, 3937],
-    [3464, 3269, 3665, 3736, 3927, 3938, 3939, 3940],
-    [3252, 3465, 3753, 3679, 3924, 3941, 3942, 3943],
-    [3271, 3470, 3765, 3692, 3928, 3944, 3945, 3946],
-    [3471, 3284, 3708, 3750, 3932, 3947, 3948, 3949],
-    [3476, 3282, 3723, 3762, 3931, 3950, 3951, 3952],
-    [3480, 3248, 3780, 3735, 3935, 3953, 3954, 3955],
-    [3482, 3263, 3739, 3777, 3938, 3956, 3957, 3958],
-    [3487, 3254, 3749, 3778, 3941, 3953, 3959, 3960],
-    [3491, 3773, 3266, 3776, 3944, 3956, 3961, 3962],
-    [3287, 3494, 3779, 3748, 3947, 3963, 3964, 3965],
-    [3497, 3283, 3775, 3763, 3950, 3963, 3966, 3967],
-    [3510, 3790, 3523, 3797, 3968, 3969, 3970, 3971],
-    [3801, 3507, 3793, 3537, 3972, 3973, 3974, 3975],
-    [3512, 3556, 3807, 3804, 3976, 3977, 3978, 3979],
-    [3570, 3810, 3524, 3835, 3980, 3981, 3982, 3983],
-    [3542, 3586, 3814, 3842, 3984, 3985, 3986, 3987],
-    [3817, 3839, 3525, 3594, 3988, 3989, 3990, 3991],
-    [3543, 3820, 3613, 3845, 3992, 3993, 3994, 3995],
-    [3822, 3555, 3849, 3622, 3996, 3997, 3998, 3999],
-    [3825, 3852, 3554, 3641, 4000, 4001, 4002, 4003],
-    [3856, 3567, 3827, 3581, 4004, 4005, 4006, 4007],
-    [3629, 3598, 3872, 3829, 4008, 4009, 4010, 4011],
-    [3876, 3642, 3831, 3608, 4012, 4013, 4014, 4015],
-    [3572, 3658, 3885, 3859, 4016, 4017, 4018, 4019],
-    [3587, 3889, 3671, 3865, 4020, 4021, 4022, 4023],
-    [3687, 3599, 3895, 3862, 4024, 4025, 4026, 4027],
-    [3615, 3699, 3868, 3901, 4028, 4029, 4030, 4031],
-    [3718, 3880, 3627, 3898, 4032, 4033, 4034, 4035],
-    [3731, 3643, 3882, 3904, 4036, 4037, 4038, 4039],
-    [3890, 3657, 3925, 3680, 4040, 4041, 4042, 4043],
-    [3673, 3700, 3892, 3929, 4044, 4045, 4046, 4047],
-    [3906, 3726, 3933, 3712, 4048, 4049, 4050, 4051],
-    [3909, 3936, 3656, 3742, 4052, 4053, 4054, 4055],
-    [3939, 3743, 3911, 3666, 4056, 4057, 4058, 4059],
-    [3760, 3943, 3685, 3914, 4060, 4061, 4062, 4063],
-    [3920, 3946, 3771, 3695, 4064, 4065, 4066, 4067],
-    [3717, 3759, 3949, 3916, 4068, 4069, 4070, 4071],
-    [3729, 3951, 3769, 3921, 4072, 4073, 4074, 4075],
-    [3786, 3744, 3954, 3957, 4076, 4077, 4078, 4079],
-    [3959, 3781, 3964, 3754, 4080, 4081, 4082, 4083],
-    [3784, 3966, 3770, 3961, 4084, 4085, 4086, 4087],
-    [3509, 3978, 3969, 3972, 4088, 4089, 4090, 4091],
-    [3528, 3971, 3983, 3988, 4092, 4093, 4094, 4095],
-    [3541, 3985, 3973, 3993, 4096, 4097, 4098, 4099],
-    [3558, 3979, 4000, 3996, 4100, 4101, 4102, 4103],
-    [3569, 4018, 3981, 4004, 4104, 4105, 4106, 4107],
-    [3585, 3986, 4005, 4021, 4108, 4109, 4110, 4111],
-    [3991, 3597, 4010, 4026, 4112, 4113, 4114, 4115],
-    [3994, 3614, 4014, 4029, 4116, 4117, 4118, 4119],
-    [4034, 3628, 3998, 4009, 4120, 4121, 4122, 4123],
-    [3645, 4039, 4001, 4012, 4124, 4125, 4126, 4127],
-    [3660, 4019, 4052, 4040, 4128, 4129, 4130, 4131],
-    [4022, 3672, 4058, 4045, 4132, 4133, 4134, 4135],
-    [4062, 3686, 4042, 4025, 4136, 4137, 4138, 4139],
-    [4067, 3698, 4030, 4046, 4140, 4141, 4142, 4143],
-    [3716, 4069, 4033, 4049, 4144, 4145, 4146, 4147],
-    [3728, 4038, 4073, 4048, 4148, 4149, 4150, 4151],
-    [3746, 4079, 4053, 4056, 4152, 4153, 4154, 4155],
-    [3758, 4070, 4061, 4081, 4156, 4157, 4158, 4159],
-    [3774, 4075, 4087, 4064, 4160, 4161, 4162, 4163],
-    [3783, 4078, 4085, 4080, 4164, 4165, 4166, 4167],
-    [
-      3109, 3794, 3828, 3513, 3573, 3791, 3811, 3974, 4006, 3813, 3539, 3583,
-      3522, 3968, 3980, 4090, 4106, 3984, 4096, 4108, 4092, 4168, 4169, 4170,
-      4171, 4172, 4173, 4174, 4175, 4176, 4177, 4178,
-    ],
-    [
-      3798, 3805, 3999, 3124, 3557, 3823, 3816, 3989, 3830, 3508, 3626, 3595,
-      3970, 3521, 3977, 4008, 4093, 4121, 4112, 4101, 4088, 4168, 4179, 4180,
-      4181, 4182, 4183, 4184, 4185, 4186, 4187, 4188,
-    ],
-    [
-      3975, 3141, 3826, 3802, 3808, 3832, 3511, 3819, 3540, 4013, 4126, 3553,
-      3610, 3637, 4002, 3976, 3992, 4098, 4089, 4116, 4100, 4169, 4179, 4189,
-      4190, 4191, 4192, 4193, 4194, 4195, 4196, 4197,
-    ],
-    [
-      3836, 3860, 4043, 3156, 3659, 3891, 3838, 3990, 3863, 3568, 3684, 3596,
-      3982, 3520, 4017, 4024, 4094, 4137, 4113, 4129, 4104, 4170, 4180, 4198,
-      4199, 4200, 4201, 4202, 4203, 4204, 4205, 4206,
-    ],
-    [
-      3995, 4023, 4031, 4047, 3843, 3616, 3674, 3846, 3866, 3987, 3172, 3701,
-      4143, 3869, 3893, 3582, 3538, 4118, 4134, 4097, 4109, 4190, 4171, 4207,
-      4208, 4209, 4210, 4211, 4212, 4213, 4214, 4215,
-    ],
-    [
-      4051, 3853, 3189, 3907, 3883, 3850, 3730, 3879, 3715, 3997, 4102, 3640,
-      3624, 4003, 3550, 4036, 4032, 4146, 4149, 4120, 4124, 4182, 4189, 4216,
-      4217, 4218, 4219, 4220, 4221, 4222, 4223, 4224,
-    ],
-    [
-      4007, 3205, 3910, 3857, 3886, 3912, 3571, 3888, 3584, 4057, 4154, 3655,
-      3668, 4054, 3738, 4016, 4020, 4110, 4105, 4132, 4128, 4172, 4207, 4198,
-      4225, 4226, 4227, 4228, 4229, 4230, 4231, 4232,
-    ],
-    [
-      4035, 4063, 4011, 4027, 3917, 3630, 3688, 3899, 3915, 4115, 3600, 3221,
-      4071, 3873, 3896, 3713, 3755, 4122, 4138, 4145, 4157, 4181, 4199, 4217,
-      4233, 4234, 4235, 4236, 4237, 4238, 4239, 4240,
-    ],
-    [
-      3922, 3905, 4015, 3644, 3236, 3877, 3919, 4065, 3902, 3612, 3727, 3696,
-      4074, 3766, 4037, 4028, 4161, 4117, 4140, 4125, 4148, 4191, 4208, 4216,
-      4241, 4242, 4243, 4244, 4245, 4246, 4247, 4248,
-    ],
-    [
-      4083, 3937, 3253, 3960, 3955, 3926, 3785, 3942, 3757, 4041, 4130, 3741,
-      3682, 3652, 4055, 4076, 4060, 4158, 4165, 4136, 4152, 4200, 4234, 4225,
-      4249, 4250, 4251, 4252, 4253, 4254, 4255, 4256,
-    ],
-    [
-      3962, 3958, 4059, 3745, 3268, 3940, 3945, 4066, 3930, 3670, 3782, 3697,
-      4086, 3767, 4077, 4044, 4162, 4133, 4141, 4153, 4164, 4226, 4209, 4241,
-      4249, 4257, 4258, 4259, 4260, 4261, 4262, 4263,
-    ],
-    [
-      3285, 3934, 3965, 3732, 3787, 3952, 3967, 4050, 4082, 3948, 3714, 3756,
-      3768, 4072, 4084, 4150, 4166, 4068, 4144, 4156, 4160, 4218, 4233, 4242,
-      4250, 4257, 4264, 4265, 4266, 4267, 4268, 4269,
-    ],
-    [4091, 4174, 4193, 4183, 4270, 4271, 4272, 4273],
-    [4095, 4185, 4203, 4173, 4271, 4274, 4275, 4276],
-    [4197, 4099, 4176, 4210, 4270, 4277, 4278, 4279],
-    [4103, 4221, 4184, 4192, 4272, 4280, 4281, 4282],
-    [4107, 4175, 4228, 4201, 4275, 4283, 4284, 4285],
-    [4232, 4111, 4177, 4211, 4277, 4283, 4286, 4287],
-    [4188, 4206, 4114, 4239, 4274, 4288, 4289, 4290],
-    [4247, 4196, 4119, 4212, 4278, 4291, 4292, 4293],
-    [4187, 4223, 4123, 4237, 4280, 4288, 4294, 4295],
-    [4127, 4194, 4244, 4219, 4281, 4291, 4296, 4297],
-    [4131, 4253, 4202, 4227, 4284, 4298, 4299, 4300],
-    [4262, 4231, 4135, 4213, 4286, 4301, 4302, 4303],
-    [4205, 4255, 4139, 4238, 4289, 4298, 4304, 4305],
-    [4248, 4263, 4142, 4214, 4292, 4301, 4306, 4307],
-    [4224, 4147, 4267, 4235, 4294, 4308, 4309, 4310],
-    [4151, 4265, 4220, 4243, 4296, 4308, 4311, 4312],
-    [4155, 4229, 4259, 4251, 4299, 4302, 4313, 4314],
-    [4256, 4159, 4268, 4236, 4304, 4309, 4315, 4316],
-    [4163, 4245, 4260, 4264, 4311, 4306, 4317, 4318],
-    [4167, 4266, 4252, 4258, 4313, 4317, 4315, 4319],
-    [
-      4178, 4269, 4282, 4297, 4300, 4314, 4195, 4222, 4230, 4254, 4276, 4318,
-      4186, 4204, 4246, 4261, 4279, 4287, 4310, 4316, 4293, 4295, 4303, 4305,
-      4290, 4307, 4285, 4312, 4215, 4240, 4273, 4319,
-    ],
-  ],
-}
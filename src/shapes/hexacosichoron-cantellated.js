@@ -1,25204 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.07978784486061616, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      -0.30901699437494745, -0.049311600012964404, -0.06719350585563999,
-      0.018662812288217916,
-    ],
-    [
-      -0.30901699437494745, -0.049311600012964404, -0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, -0.049311600012964404, -0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, -0.049311600012964404, 0.01743428338016289,
-      -0.0675226891844316,
-    ],
-    [
-      -0.30901699437494745, -0.049311600012964404, 0.049759222475477094,
-      0.0488598768962137,
-    ],
-    [-0.30901699437494745, -0.049311600012964404, 0.06973713352065156, 0.0],
-    [
-      -0.30901699437494745, -0.030476244847651754, -0.07385280953736481,
-      -0.03019706460799578,
-    ],
-    [
-      -0.30901699437494745, -0.030476244847651754, 0.010774979698438068,
-      0.07905694150420947,
-    ],
-    [
-      -0.30901699437494745, -0.030476244847651754, 0.06307782983892674,
-      -0.0488598768962137,
-    ],
-    [-0.30901699437494745, 0.0, -0.08462778923580286, 0.01153425231977787],
-    [-0.30901699437494745, 0.0, -0.05230285014048866, -0.0675226891844316],
-    [-0.30901699437494745, 0.0, -0.03232493909531421, 0.07905694150420947],
-    [-0.30901699437494745, 0.0, 0.03232493909531421, -0.07905694150420947],
-    [-0.30901699437494745, 0.0, 0.05230285014048866, 0.0675226891844316],
-    [-0.30901699437494745, 0.0, 0.08462778923580286, -0.01153425231977787],
-    [
-      -0.30901699437494745, 0.030476244847651754, -0.06307782983892674,
-      0.0488598768962137,
-    ],
-    [
-      -0.30901699437494745, 0.030476244847651754, -0.010774979698438068,
-      -0.07905694150420947,
-    ],
-    [
-      -0.30901699437494745, 0.030476244847651754, 0.07385280953736481,
-      0.03019706460799578,
-    ],
-    [-0.30901699437494745, 0.049311600012964404, -0.06973713352065156, 0.0],
-    [
-      -0.30901699437494745, 0.049311600012964404, -0.049759222475477094,
-      -0.0488598768962137,
-    ],
-    [
-      -0.30901699437494745, 0.049311600012964404, -0.01743428338016289,
-      0.0675226891844316,
-    ],
-    [
-      -0.30901699437494745, 0.049311600012964404, 0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, 0.049311600012964404, 0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, 0.049311600012964404, 0.06719350585563999,
-      -0.018662812288217916,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [
-      -0.29270509831248426, -0.11968176729092425, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, -0.11968176729092425, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, -0.11968176729092425, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, -0.11968176729092425, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, -0.11968176729092425, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, -0.11968176729092425, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, -0.08920552244327248, -0.09540276893424093,
-      0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, -0.08920552244327248, -0.06307782983892674,
-      -0.07192838153576944,
-    ],
-    [
-      -0.29270509831248426, -0.08920552244327248, -0.030752890743612524,
-      0.09059119382398736,
-    ],
-    [
-      -0.29270509831248426, -0.08920552244327248, 0.0415278704420506,
-      -0.08618550147264953,
-    ],
-    [
-      -0.29270509831248426, -0.08920552244327248, 0.05387489849219034,
-      0.07905694150420947,
-    ],
-    [
-      -0.29270509831248426, -0.08920552244327248, 0.09383072058253925,
-      -0.018662812288217916,
-    ],
-    [
-      -0.29270509831248426, -0.07037016727795983, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, -0.07037016727795983, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.29270509831248426, -0.07037016727795983, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      -0.29270509831248426, -0.05872927759562073, -0.10617774863267901,
-      0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, -0.05872927759562073, -0.07385280953736481,
-      0.09059119382398736,
-    ],
-    [
-      -0.29270509831248426, -0.05872927759562073, -0.0415278704420506,
-      -0.10925400611220526,
-    ],
-    [
-      -0.29270509831248426, -0.05872927759562073, 0.010774979698438068,
-      -0.11638256608064532,
-    ],
-    [
-      -0.29270509831248426, -0.05872927759562073, 0.09540276893424093,
-      0.0675226891844316,
-    ],
-    [
-      -0.29270509831248426, -0.05872927759562073, 0.1153806799794154,
-      0.018662812288217916,
-    ],
-    [
-      -0.29270509831248426, -0.021058567264995436, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, -0.021058567264995436, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      -0.29270509831248426, -0.021058567264995436, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      -0.29270509831248426, -0.009417677582656322, -0.12361203201284189,
-      0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, -0.009417677582656322, -0.07130918187235323,
-      0.10925400611220526,
-    ],
-    [
-      -0.29270509831248426, -0.009417677582656322, -0.05896215382221348,
-      -0.11638256608064532,
-    ],
-    [
-      -0.29270509831248426, -0.009417677582656322, 0.025665635413589384,
-      -0.12791681840042318,
-    ],
-    [
-      -0.29270509831248426, -0.009417677582656322, 0.0979463965992525,
-      0.08618550147264953,
-    ],
-    [
-      -0.29270509831248426, -0.009417677582656322, 0.13027133569456673,
-      0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, 0.009417677582656322, -0.13027133569456673,
-      -0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, 0.009417677582656322, -0.0979463965992525,
-      -0.08618550147264953,
-    ],
-    [
-      -0.29270509831248426, 0.009417677582656322, -0.025665635413589384,
-      0.12791681840042318,
-    ],
-    [
-      -0.29270509831248426, 0.009417677582656322, 0.05896215382221348,
-      0.11638256608064532,
-    ],
-    [
-      -0.29270509831248426, 0.009417677582656322, 0.07130918187235323,
-      -0.10925400611220526,
-    ],
-    [
-      -0.29270509831248426, 0.009417677582656322, 0.12361203201284189,
-      -0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, 0.021058567264995436, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      -0.29270509831248426, 0.021058567264995436, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      -0.29270509831248426, 0.021058567264995436, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, 0.05872927759562073, -0.1153806799794154,
-      -0.018662812288217916,
-    ],
-    [
-      -0.29270509831248426, 0.05872927759562073, -0.09540276893424093,
-      -0.0675226891844316,
-    ],
-    [
-      -0.29270509831248426, 0.05872927759562073, -0.010774979698438068,
-      0.11638256608064532,
-    ],
-    [
-      -0.29270509831248426, 0.05872927759562073, 0.0415278704420506,
-      0.10925400611220526,
-    ],
-    [
-      -0.29270509831248426, 0.05872927759562073, 0.07385280953736481,
-      -0.09059119382398736,
-    ],
-    [
-      -0.29270509831248426, 0.05872927759562073, 0.10617774863267901,
-      -0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, 0.07037016727795983, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.29270509831248426, 0.07037016727795983, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.29270509831248426, 0.07037016727795983, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, 0.08920552244327248, -0.09383072058253925,
-      0.018662812288217916,
-    ],
-    [
-      -0.29270509831248426, 0.08920552244327248, -0.05387489849219034,
-      -0.07905694150420947,
-    ],
-    [
-      -0.29270509831248426, 0.08920552244327248, -0.0415278704420506,
-      0.08618550147264953,
-    ],
-    [
-      -0.29270509831248426, 0.08920552244327248, 0.030752890743612524,
-      -0.09059119382398736,
-    ],
-    [
-      -0.29270509831248426, 0.08920552244327248, 0.06307782983892674,
-      0.07192838153576944,
-    ],
-    [
-      -0.29270509831248426, 0.08920552244327248, 0.09540276893424093,
-      -0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, 0.11968176729092425, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      -0.29270509831248426, 0.11968176729092425, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, 0.11968176729092425, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, 0.11968176729092425, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      -0.29270509831248426, 0.11968176729092425, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      -0.29270509831248426, 0.11968176729092425, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      -0.27639320225002106, -0.15957568972123232, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, -0.15957568972123232, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      -0.27639320225002106, -0.15957568972123232, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [
-      -0.27639320225002106, -0.12909944487358055, -0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.27639320225002106, -0.12909944487358055, -0.05896215382221348,
-      0.07905694150420947,
-    ],
-    [
-      -0.27639320225002106, -0.12909944487358055, -0.03898424277703902,
-      -0.09059119382398736,
-    ],
-    [
-      -0.27639320225002106, -0.12909944487358055, 0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.27639320225002106, -0.12909944487358055, 0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, -0.12909944487358055, 0.0979463965992525,
-      0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      -0.27639320225002106, -0.07978784486061616, -0.14104631539300477,
-      -0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, -0.07978784486061616, -0.10872137629769058,
-      -0.09059119382398736,
-    ],
-    [
-      -0.27639320225002106, -0.07978784486061616, -0.024093587061887703,
-      0.13945107072020108,
-    ],
-    [
-      -0.27639320225002106, -0.07978784486061616, 0.060534202173915155,
-      0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, -0.07978784486061616, 0.0805121132190896,
-      -0.11638256608064532,
-    ],
-    [
-      -0.27639320225002106, -0.07978784486061616, 0.13281496335957826,
-      -0.0488598768962137,
-    ],
-    [
-      -0.27639320225002106, -0.049311600012964404, -0.15182129509144282,
-      0.03019706460799578,
-    ],
-    [
-      -0.27639320225002106, -0.049311600012964404, -0.08717141690081442,
-      -0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, -0.049311600012964404, -0.06719350585563999,
-      0.13945107072020108,
-    ],
-    [
-      -0.27639320225002106, -0.049311600012964404, 0.049759222475477094,
-      -0.1465796306886411,
-    ],
-    [
-      -0.27639320225002106, -0.049311600012964404, 0.10206207261596575,
-      0.11638256608064532,
-    ],
-    [
-      -0.27639320225002106, -0.049311600012964404, 0.15436492275645441,
-      -0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, -0.030476244847651754, -0.15848059877316767,
-      -0.018662812288217916,
-    ],
-    [
-      -0.27639320225002106, -0.030476244847651754, -0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      -0.27639320225002106, -0.030476244847651754, -0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      -0.27639320225002106, -0.030476244847651754, 0.06307782983892674,
-      0.1465796306886411,
-    ],
-    [
-      -0.27639320225002106, -0.030476244847651754, 0.09540276893424093,
-      -0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, -0.030476244847651754, 0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, 0.030476244847651754, -0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, 0.030476244847651754, -0.09540276893424093,
-      0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, 0.030476244847651754, -0.06307782983892674,
-      -0.1465796306886411,
-    ],
-    [
-      -0.27639320225002106, 0.030476244847651754, 0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      -0.27639320225002106, 0.030476244847651754, 0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      -0.27639320225002106, 0.030476244847651754, 0.15848059877316767,
-      0.018662812288217916,
-    ],
-    [
-      -0.27639320225002106, 0.049311600012964404, -0.15436492275645441,
-      0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, 0.049311600012964404, -0.10206207261596575,
-      -0.11638256608064532,
-    ],
-    [
-      -0.27639320225002106, 0.049311600012964404, -0.049759222475477094,
-      0.1465796306886411,
-    ],
-    [
-      -0.27639320225002106, 0.049311600012964404, 0.06719350585563999,
-      -0.13945107072020108,
-    ],
-    [
-      -0.27639320225002106, 0.049311600012964404, 0.08717141690081442,
-      0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, 0.049311600012964404, 0.15182129509144282,
-      -0.03019706460799578,
-    ],
-    [
-      -0.27639320225002106, 0.07978784486061616, -0.13281496335957826,
-      0.0488598768962137,
-    ],
-    [
-      -0.27639320225002106, 0.07978784486061616, -0.0805121132190896,
-      0.11638256608064532,
-    ],
-    [
-      -0.27639320225002106, 0.07978784486061616, -0.060534202173915155,
-      -0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, 0.07978784486061616, 0.024093587061887703,
-      -0.13945107072020108,
-    ],
-    [
-      -0.27639320225002106, 0.07978784486061616, 0.10872137629769058,
-      0.09059119382398736,
-    ],
-    [
-      -0.27639320225002106, 0.07978784486061616, 0.14104631539300477,
-      0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      -0.27639320225002106, 0.12909944487358055, -0.0979463965992525,
-      -0.01153425231977787,
-    ],
-    [
-      -0.27639320225002106, 0.12909944487358055, -0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, 0.12909944487358055, -0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.27639320225002106, 0.12909944487358055, 0.03898424277703902,
-      0.09059119382398736,
-    ],
-    [
-      -0.27639320225002106, 0.12909944487358055, 0.05896215382221348,
-      -0.07905694150420947,
-    ],
-    [
-      -0.27639320225002106, 0.12909944487358055, 0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.27639320225002106, 0.15957568972123232, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      -0.27639320225002106, 0.15957568972123232, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      -0.27639320225002106, 0.15957568972123232, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [-0.25, -0.19364916731037085, -0.05230285014048866, 0.007128559968440045],
-    [-0.25, -0.19364916731037085, -0.03232493909531421, -0.041731316927773654],
-    [-0.25, -0.19364916731037085, -0.019977911045174455, 0.0488598768962137],
-    [-0.25, -0.19364916731037085, 0.019977911045174455, -0.0488598768962137],
-    [-0.25, -0.19364916731037085, 0.03232493909531421, 0.041731316927773654],
-    [-0.25, -0.19364916731037085, 0.05230285014048866, -0.007128559968440045],
-    [-0.25, -0.1748138121450582, -0.09128709291752768, 0.03732562457643583],
-    [-0.25, -0.1748138121450582, -0.05896215382221348, 0.07905694150420947],
-    [-0.25, -0.1748138121450582, -0.03898424277703902, -0.09059119382398736],
-    [-0.25, -0.1748138121450582, 0.013318607363449638, -0.0977197537924274],
-    [-0.25, -0.1748138121450582, 0.07796848555407804, 0.06039412921599156],
-    [-0.25, -0.1748138121450582, 0.0979463965992525, 0.01153425231977787],
-    [-0.25, -0.14433756729740643, -0.13438701171127998, 0.03732562457643583],
-    [-0.25, -0.14433756729740643, -0.06973713352065156, -0.12078825843198313],
-    [-0.25, -0.14433756729740643, -0.06973713352065156, 0.12078825843198313],
-    [-0.25, -0.14433756729740643, 0.03486856676032578, -0.1350453783688632],
-    [-0.25, -0.14433756729740643, 0.09951844495095419, 0.0977197537924274],
-    [-0.25, -0.14433756729740643, 0.1394742670413031, 0.0],
-    [-0.25, -0.11386132244975469, -0.16513990245489246, 0.007128559968440045],
-    [-0.25, -0.11386132244975469, -0.14516199140971803, 0.07905694150420947],
-    [-0.25, -0.11386132244975469, -0.11283705231440383, -0.12078825843198313],
-    [-0.25, -0.11386132244975469, -0.11283705231440383, 0.12078825843198313],
-    [-0.25, -0.11386132244975469, -0.048187174123775406, -0.15811388300841894],
-    [-0.25, -0.11386132244975469, -0.048187174123775406, 0.15811388300841894],
-    [-0.25, -0.11386132244975469, 0.004115676016713249, -0.16524244297685903],
-    [-0.25, -0.11386132244975469, 0.07639643720237638, -0.1465796306886411],
-    [-0.25, -0.11386132244975469, 0.08874346525251611, 0.13945107072020108],
-    [-0.25, -0.11386132244975469, 0.14104631539300477, 0.08618550147264953],
-    [-0.25, -0.11386132244975469, 0.1610242264381792, -0.03732562457643583],
-    [-0.25, -0.11386132244975469, 0.1610242264381792, 0.03732562457643583],
-    [-0.25, -0.09502596728444204, -0.1717992061366173, -0.041731316927773654],
-    [-0.25, -0.09502596728444204, -0.15182129509144282, -0.09059119382398736],
-    [-0.25, -0.09502596728444204, -0.002543627665011569, 0.17677669529663687],
-    [-0.25, -0.09502596728444204, 0.049759222475477094, 0.16964813532819684],
-    [-0.25, -0.09502596728444204, 0.12203998366114022, -0.12791681840042318],
-    [-0.25, -0.09502596728444204, 0.15436492275645441, -0.08618550147264953],
-    [-0.25, -0.08338507760210292, -0.17591488215333057, 0.0488598768962137],
-    [-0.25, -0.08338507760210292, -0.09128709291752768, -0.15811388300841894],
-    [-0.25, -0.08338507760210292, -0.09128709291752768, 0.15811388300841894],
-    [-0.25, -0.08338507760210292, 0.04564354645876384, -0.17677669529663687],
-    [-0.25, -0.08338507760210292, 0.13027133569456673, 0.12791681840042318],
-    [-0.25, -0.08338507760210292, 0.18257418583505536, 0.0],
-    [-0.25, -0.04571436727147764, -0.1892334895167802, -0.0488598768962137],
-    [-0.25, -0.04571436727147764, -0.16925557847160572, -0.0977197537924274],
-    [-0.25, -0.04571436727147764, 0.0, 0.1954395075848548],
-    [-0.25, -0.04571436727147764, 0.05230285014048866, 0.18831094761641476],
-    [-0.25, -0.04571436727147764, 0.13693063937629152, -0.13945107072020108],
-    [-0.25, -0.04571436727147764, 0.16925557847160572, -0.0977197537924274],
-    [-0.25, -0.03407347758913852, -0.19334916553349346, 0.041731316927773654],
-    [-0.25, -0.03407347758913852, -0.10872137629769058, -0.16524244297685903],
-    [-0.25, -0.03407347758913852, -0.08874346525251611, 0.17677669529663687],
-    [-0.25, -0.03407347758913852, 0.060534202173915155, -0.18831094761641476],
-    [-0.25, -0.03407347758913852, 0.13281496335957826, 0.1465796306886411],
-    [-0.25, -0.03407347758913852, 0.19746484155020672, -0.01153425231977787],
-    [-0.25, -0.015238122423825877, -0.20000846921521825, -0.007128559968440045],
-    [-0.25, -0.015238122423825877, -0.14770561907472962, -0.1350453783688632],
-    [-0.25, -0.015238122423825877, -0.04309991879375227, 0.1954395075848548],
-    [-0.25, -0.015238122423825877, 0.09383072058253925, 0.17677669529663687],
-    [-0.25, -0.015238122423825877, 0.10617774863267901, -0.16964813532819684],
-    [-0.25, -0.015238122423825877, 0.19080553786848187, -0.06039412921599156],
-    [-0.25, 0.015238122423825877, -0.19080553786848187, 0.06039412921599156],
-    [-0.25, 0.015238122423825877, -0.10617774863267901, 0.16964813532819684],
-    [-0.25, 0.015238122423825877, -0.09383072058253925, -0.17677669529663687],
-    [-0.25, 0.015238122423825877, 0.04309991879375227, -0.1954395075848548],
-    [-0.25, 0.015238122423825877, 0.14770561907472962, 0.1350453783688632],
-    [-0.25, 0.015238122423825877, 0.20000846921521825, 0.007128559968440045],
-    [-0.25, 0.03407347758913852, -0.19746484155020672, 0.01153425231977787],
-    [-0.25, 0.03407347758913852, -0.13281496335957826, -0.1465796306886411],
-    [-0.25, 0.03407347758913852, -0.060534202173915155, 0.18831094761641476],
-    [-0.25, 0.03407347758913852, 0.08874346525251611, -0.17677669529663687],
-    [-0.25, 0.03407347758913852, 0.10872137629769058, 0.16524244297685903],
-    [-0.25, 0.03407347758913852, 0.19334916553349346, -0.041731316927773654],
-    [-0.25, 0.04571436727147764, -0.16925557847160572, 0.0977197537924274],
-    [-0.25, 0.04571436727147764, -0.13693063937629152, 0.13945107072020108],
-    [-0.25, 0.04571436727147764, -0.05230285014048866, -0.18831094761641476],
-    [-0.25, 0.04571436727147764, 0.0, -0.1954395075848548],
-    [-0.25, 0.04571436727147764, 0.16925557847160572, 0.0977197537924274],
-    [-0.25, 0.04571436727147764, 0.1892334895167802, 0.0488598768962137],
-    [-0.25, 0.08338507760210292, -0.18257418583505536, 0.0],
-    [-0.25, 0.08338507760210292, -0.13027133569456673, -0.12791681840042318],
-    [-0.25, 0.08338507760210292, -0.04564354645876384, 0.17677669529663687],
-    [-0.25, 0.08338507760210292, 0.09128709291752768, -0.15811388300841894],
-    [-0.25, 0.08338507760210292, 0.09128709291752768, 0.15811388300841894],
-    [-0.25, 0.08338507760210292, 0.17591488215333057, -0.0488598768962137],
-    [-0.25, 0.09502596728444204, -0.15436492275645441, 0.08618550147264953],
-    [-0.25, 0.09502596728444204, -0.12203998366114022, 0.12791681840042318],
-    [-0.25, 0.09502596728444204, -0.049759222475477094, -0.16964813532819684],
-    [-0.25, 0.09502596728444204, 0.002543627665011569, -0.17677669529663687],
-    [-0.25, 0.09502596728444204, 0.15182129509144282, 0.09059119382398736],
-    [-0.25, 0.09502596728444204, 0.1717992061366173, 0.041731316927773654],
-    [-0.25, 0.11386132244975469, -0.1610242264381792, -0.03732562457643583],
-    [-0.25, 0.11386132244975469, -0.1610242264381792, 0.03732562457643583],
-    [-0.25, 0.11386132244975469, -0.14104631539300477, -0.08618550147264953],
-    [-0.25, 0.11386132244975469, -0.08874346525251611, -0.13945107072020108],
-    [-0.25, 0.11386132244975469, -0.07639643720237638, 0.1465796306886411],
-    [-0.25, 0.11386132244975469, -0.004115676016713249, 0.16524244297685903],
-    [-0.25, 0.11386132244975469, 0.048187174123775406, -0.15811388300841894],
-    [-0.25, 0.11386132244975469, 0.048187174123775406, 0.15811388300841894],
-    [-0.25, 0.11386132244975469, 0.11283705231440383, -0.12078825843198313],
-    [-0.25, 0.11386132244975469, 0.11283705231440383, 0.12078825843198313],
-    [-0.25, 0.11386132244975469, 0.14516199140971803, -0.07905694150420947],
-    [-0.25, 0.11386132244975469, 0.16513990245489246, -0.007128559968440045],
-    [-0.25, 0.14433756729740643, -0.1394742670413031, 0.0],
-    [-0.25, 0.14433756729740643, -0.09951844495095419, -0.0977197537924274],
-    [-0.25, 0.14433756729740643, -0.03486856676032578, 0.1350453783688632],
-    [-0.25, 0.14433756729740643, 0.06973713352065156, -0.12078825843198313],
-    [-0.25, 0.14433756729740643, 0.06973713352065156, 0.12078825843198313],
-    [-0.25, 0.14433756729740643, 0.13438701171127998, -0.03732562457643583],
-    [-0.25, 0.1748138121450582, -0.0979463965992525, -0.01153425231977787],
-    [-0.25, 0.1748138121450582, -0.07796848555407804, -0.06039412921599156],
-    [-0.25, 0.1748138121450582, -0.013318607363449638, 0.0977197537924274],
-    [-0.25, 0.1748138121450582, 0.03898424277703902, 0.09059119382398736],
-    [-0.25, 0.1748138121450582, 0.05896215382221348, -0.07905694150420947],
-    [-0.25, 0.1748138121450582, 0.09128709291752768, -0.03732562457643583],
-    [-0.25, 0.19364916731037085, -0.05230285014048866, 0.007128559968440045],
-    [-0.25, 0.19364916731037085, -0.03232493909531421, -0.041731316927773654],
-    [-0.25, 0.19364916731037085, -0.019977911045174455, 0.0488598768962137],
-    [-0.25, 0.19364916731037085, 0.019977911045174455, -0.0488598768962137],
-    [-0.25, 0.19364916731037085, 0.03232493909531421, 0.041731316927773654],
-    [-0.25, 0.19364916731037085, 0.05230285014048866, -0.007128559968440045],
-    [
-      -0.223606797749979, -0.22772264489950939, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      -0.223606797749979, -0.20888728973419673, -0.09540276893424093,
-      0.007128559968440045,
-    ],
-    [
-      -0.223606797749979, -0.20888728973419673, -0.06307782983892674,
-      -0.07192838153576944,
-    ],
-    [
-      -0.223606797749979, -0.20888728973419673, -0.030752890743612524,
-      0.09059119382398736,
-    ],
-    [
-      -0.223606797749979, -0.20888728973419673, 0.0415278704420506,
-      -0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, -0.20888728973419673, 0.05387489849219034,
-      0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, -0.20888728973419673, 0.09383072058253925,
-      -0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, -0.16513990245489246,
-      0.007128559968440045,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, -0.14516199140971803,
-      0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, -0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, -0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, -0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, -0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, 0.004115676016713249,
-      -0.16524244297685903,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, 0.07639643720237638,
-      -0.1465796306886411,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, 0.08874346525251611,
-      0.13945107072020108,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, 0.14104631539300477,
-      0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, 0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.15957568972123232, 0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.17591488215333057,
-      -0.07192838153576944,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.025665635413589384,
-      0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.15024924673974116,
-      -0.11638256608064532,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, -0.2066677728969431,
-      0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, -0.1866898618517686,
-      0.09059119382398736,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, -0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, -0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, -0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, -0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, 0.01489065571515132,
-      -0.20697375990463268,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, 0.08717141690081442,
-      -0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, 0.11949635599612865,
-      0.16964813532819684,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, 0.1717992061366173,
-      0.11638256608064532,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, 0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.09862320002592881, 0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.07978784486061616, -0.2133270765786679,
-      -0.03019706460799578,
-    ],
-    [
-      -0.223606797749979, -0.07978784486061616, -0.17337125448831897,
-      -0.12791681840042318,
-    ],
-    [
-      -0.223606797749979, -0.07978784486061616, -0.024093587061887703,
-      0.2141023198730727,
-    ],
-    [
-      -0.223606797749979, -0.07978784486061616, 0.0805121132190896,
-      0.1998451999361926,
-    ],
-    [
-      -0.223606797749979, -0.07978784486061616, 0.13281496335957826,
-      -0.16964813532819684,
-    ],
-    [
-      -0.223606797749979, -0.07978784486061616, 0.19746484155020672,
-      -0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, -0.049311600012964404, -0.22410205627710594,
-      0.01153425231977787,
-    ],
-    [
-      -0.223606797749979, -0.049311600012964404, -0.15182129509144282,
-      -0.16524244297685903,
-    ],
-    [
-      -0.223606797749979, -0.049311600012964404, -0.06719350585563999,
-      0.2141023198730727,
-    ],
-    [
-      -0.223606797749979, -0.049311600012964404, 0.10206207261596575,
-      -0.1998451999361926,
-    ],
-    [
-      -0.223606797749979, -0.049311600012964404, 0.12203998366114022,
-      0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, -0.049311600012964404, 0.2190148009470828,
-      -0.0488598768962137,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      -0.223606797749979, -0.018835355165312644, -0.21489912493036956,
-      0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, -0.018835355165312644, -0.13027133569456673,
-      0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, -0.018835355165312644, -0.0979463965992525,
-      -0.20697375990463268,
-    ],
-    [
-      -0.223606797749979, -0.018835355165312644, 0.03898424277703902,
-      -0.2256365721928506,
-    ],
-    [
-      -0.223606797749979, -0.018835355165312644, 0.17591488215333057,
-      0.1465796306886411,
-    ],
-    [
-      -0.223606797749979, -0.018835355165312644, 0.2282177322938192,
-      0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, 0.018835355165312644, -0.2282177322938192,
-      -0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, 0.018835355165312644, -0.17591488215333057,
-      -0.1465796306886411,
-    ],
-    [
-      -0.223606797749979, 0.018835355165312644, -0.03898424277703902,
-      0.2256365721928506,
-    ],
-    [
-      -0.223606797749979, 0.018835355165312644, 0.0979463965992525,
-      0.20697375990463268,
-    ],
-    [
-      -0.223606797749979, 0.018835355165312644, 0.13027133569456673,
-      -0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, 0.018835355165312644, 0.21489912493036956,
-      -0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, 0.049311600012964404, -0.2190148009470828,
-      0.0488598768962137,
-    ],
-    [
-      -0.223606797749979, 0.049311600012964404, -0.12203998366114022,
-      -0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, 0.049311600012964404, -0.10206207261596575,
-      0.1998451999361926,
-    ],
-    [
-      -0.223606797749979, 0.049311600012964404, 0.06719350585563999,
-      -0.2141023198730727,
-    ],
-    [
-      -0.223606797749979, 0.049311600012964404, 0.15182129509144282,
-      0.16524244297685903,
-    ],
-    [
-      -0.223606797749979, 0.049311600012964404, 0.22410205627710594,
-      -0.01153425231977787,
-    ],
-    [
-      -0.223606797749979, 0.07978784486061616, -0.19746484155020672,
-      0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, 0.07978784486061616, -0.13281496335957826,
-      0.16964813532819684,
-    ],
-    [
-      -0.223606797749979, 0.07978784486061616, -0.0805121132190896,
-      -0.1998451999361926,
-    ],
-    [
-      -0.223606797749979, 0.07978784486061616, 0.024093587061887703,
-      -0.2141023198730727,
-    ],
-    [
-      -0.223606797749979, 0.07978784486061616, 0.17337125448831897,
-      0.12791681840042318,
-    ],
-    [
-      -0.223606797749979, 0.07978784486061616, 0.2133270765786679,
-      0.03019706460799578,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, -0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, -0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, -0.1717992061366173,
-      -0.11638256608064532,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, -0.11949635599612865,
-      -0.16964813532819684,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, -0.08717141690081442,
-      0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, -0.01489065571515132,
-      0.20697375990463268,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, 0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, 0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, 0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, 0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, 0.1866898618517686,
-      -0.09059119382398736,
-    ],
-    [
-      -0.223606797749979, 0.09862320002592881, 0.2066677728969431,
-      -0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.15024924673974116,
-      0.11638256608064532,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.025665635413589384,
-      -0.18831094761641476,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.17591488215333057,
-      0.07192838153576944,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, -0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, -0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, -0.14104631539300477,
-      -0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, -0.08874346525251611,
-      -0.13945107072020108,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, -0.07639643720237638,
-      0.1465796306886411,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, -0.004115676016713249,
-      0.16524244297685903,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, 0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, 0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, 0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, 0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, 0.14516199140971803,
-      -0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, 0.15957568972123232, 0.16513990245489246,
-      -0.007128559968440045,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, 0.20888728973419673, -0.09383072058253925,
-      0.018662812288217916,
-    ],
-    [
-      -0.223606797749979, 0.20888728973419673, -0.05387489849219034,
-      -0.07905694150420947,
-    ],
-    [
-      -0.223606797749979, 0.20888728973419673, -0.0415278704420506,
-      0.08618550147264953,
-    ],
-    [
-      -0.223606797749979, 0.20888728973419673, 0.030752890743612524,
-      -0.09059119382398736,
-    ],
-    [
-      -0.223606797749979, 0.20888728973419673, 0.06307782983892674,
-      0.07192838153576944,
-    ],
-    [
-      -0.223606797749979, 0.20888728973419673, 0.09540276893424093,
-      -0.007128559968440045,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [
-      -0.2072949016875158, -0.21830496731685306, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.2072949016875158, -0.21830496731685306, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.2072949016875158, -0.21830496731685306, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      -0.2072949016875158, -0.1994696121515404, -0.14104631539300477,
-      -0.01153425231977787,
-    ],
-    [
-      -0.2072949016875158, -0.1994696121515404, -0.10872137629769058,
-      -0.09059119382398736,
-    ],
-    [
-      -0.2072949016875158, -0.1994696121515404, -0.024093587061887703,
-      0.13945107072020108,
-    ],
-    [
-      -0.2072949016875158, -0.1994696121515404, 0.060534202173915155,
-      0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, -0.1994696121515404, 0.0805121132190896,
-      -0.11638256608064532,
-    ],
-    [
-      -0.2072949016875158, -0.1994696121515404, 0.13281496335957826,
-      -0.0488598768962137,
-    ],
-    [
-      -0.2072949016875158, -0.16899336730388864, -0.1717992061366173,
-      -0.041731316927773654,
-    ],
-    [
-      -0.2072949016875158, -0.16899336730388864, -0.15182129509144282,
-      -0.09059119382398736,
-    ],
-    [
-      -0.2072949016875158, -0.16899336730388864, -0.002543627665011569,
-      0.17677669529663687,
-    ],
-    [
-      -0.2072949016875158, -0.16899336730388864, 0.049759222475477094,
-      0.16964813532819684,
-    ],
-    [
-      -0.2072949016875158, -0.16899336730388864, 0.12203998366114022,
-      -0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, -0.16899336730388864, 0.15436492275645441,
-      -0.08618550147264953,
-    ],
-    [
-      -0.2072949016875158, -0.08920552244327248, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      -0.2072949016875158, -0.08920552244327248, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      -0.2072949016875158, -0.08920552244327248, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      -0.2072949016875158, -0.05872927759562073, -0.2107834489136563,
-      0.10925400611220526,
-    ],
-    [
-      -0.2072949016875158, -0.05872927759562073, -0.15848059877316767,
-      0.17677669529663687,
-    ],
-    [
-      -0.2072949016875158, -0.05872927759562073, -0.07385280953736481,
-      -0.2256365721928506,
-    ],
-    [
-      -0.2072949016875158, -0.05872927759562073, 0.010774979698438068,
-      -0.23717082451262844,
-    ],
-    [
-      -0.2072949016875158, -0.05872927759562073, 0.20000846921521825,
-      0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, -0.05872927759562073, 0.23233340831053245,
-      0.0488598768962137,
-    ],
-    [
-      -0.2072949016875158, -0.009417677582656322, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, -0.009417677582656322, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      -0.2072949016875158, -0.009417677582656322, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      -0.2072949016875158, -0.009417677582656322, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      -0.2072949016875158, -0.009417677582656322, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      -0.2072949016875158, -0.009417677582656322, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      -0.2072949016875158, 0.009417677582656322, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      -0.2072949016875158, 0.009417677582656322, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      -0.2072949016875158, 0.009417677582656322, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      -0.2072949016875158, 0.009417677582656322, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      -0.2072949016875158, 0.009417677582656322, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      -0.2072949016875158, 0.009417677582656322, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, 0.05872927759562073, -0.23233340831053245,
-      -0.0488598768962137,
-    ],
-    [
-      -0.2072949016875158, 0.05872927759562073, -0.20000846921521825,
-      -0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, 0.05872927759562073, -0.010774979698438068,
-      0.23717082451262844,
-    ],
-    [
-      -0.2072949016875158, 0.05872927759562073, 0.07385280953736481,
-      0.2256365721928506,
-    ],
-    [
-      -0.2072949016875158, 0.05872927759562073, 0.15848059877316767,
-      -0.17677669529663687,
-    ],
-    [
-      -0.2072949016875158, 0.05872927759562073, 0.2107834489136563,
-      -0.10925400611220526,
-    ],
-    [
-      -0.2072949016875158, 0.08920552244327248, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      -0.2072949016875158, 0.08920552244327248, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      -0.2072949016875158, 0.08920552244327248, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      -0.2072949016875158, 0.16899336730388864, -0.15436492275645441,
-      0.08618550147264953,
-    ],
-    [
-      -0.2072949016875158, 0.16899336730388864, -0.12203998366114022,
-      0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, 0.16899336730388864, -0.049759222475477094,
-      -0.16964813532819684,
-    ],
-    [
-      -0.2072949016875158, 0.16899336730388864, 0.002543627665011569,
-      -0.17677669529663687,
-    ],
-    [
-      -0.2072949016875158, 0.16899336730388864, 0.15182129509144282,
-      0.09059119382398736,
-    ],
-    [
-      -0.2072949016875158, 0.16899336730388864, 0.1717992061366173,
-      0.041731316927773654,
-    ],
-    [
-      -0.2072949016875158, 0.1994696121515404, -0.13281496335957826,
-      0.0488598768962137,
-    ],
-    [
-      -0.2072949016875158, 0.1994696121515404, -0.0805121132190896,
-      0.11638256608064532,
-    ],
-    [
-      -0.2072949016875158, 0.1994696121515404, -0.060534202173915155,
-      -0.12791681840042318,
-    ],
-    [
-      -0.2072949016875158, 0.1994696121515404, 0.024093587061887703,
-      -0.13945107072020108,
-    ],
-    [
-      -0.2072949016875158, 0.1994696121515404, 0.10872137629769058,
-      0.09059119382398736,
-    ],
-    [
-      -0.2072949016875158, 0.1994696121515404, 0.14104631539300477,
-      0.01153425231977787,
-    ],
-    [
-      -0.2072949016875158, 0.21830496731685306, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.2072949016875158, 0.21830496731685306, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.2072949016875158, 0.21830496731685306, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      -0.19721359549995793, -0.24296076732333527, -0.06719350585563999,
-      0.018662812288217916,
-    ],
-    [
-      -0.19721359549995793, -0.24296076732333527, -0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, -0.24296076732333527, -0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, -0.24296076732333527, 0.01743428338016289,
-      -0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, -0.24296076732333527, 0.049759222475477094,
-      0.0488598768962137,
-    ],
-    [-0.19721359549995793, -0.24296076732333527, 0.06973713352065156, 0.0],
-    [
-      -0.19721359549995793, -0.22412541215802262, -0.10617774863267901,
-      0.0488598768962137,
-    ],
-    [
-      -0.19721359549995793, -0.22412541215802262, -0.07385280953736481,
-      0.09059119382398736,
-    ],
-    [
-      -0.19721359549995793, -0.22412541215802262, -0.0415278704420506,
-      -0.10925400611220526,
-    ],
-    [
-      -0.19721359549995793, -0.22412541215802262, 0.010774979698438068,
-      -0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, -0.22412541215802262, 0.09540276893424093,
-      0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, -0.22412541215802262, 0.1153806799794154,
-      0.018662812288217916,
-    ],
-    [
-      -0.19721359549995793, -0.1748138121450582, -0.17591488215333057,
-      0.0488598768962137,
-    ],
-    [
-      -0.19721359549995793, -0.1748138121450582, -0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, -0.1748138121450582, -0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, -0.1748138121450582, 0.04564354645876384,
-      -0.17677669529663687,
-    ],
-    [
-      -0.19721359549995793, -0.1748138121450582, 0.13027133569456673,
-      0.12791681840042318,
-    ],
-    [-0.19721359549995793, -0.1748138121450582, 0.18257418583505536, 0.0],
-    [
-      -0.19721359549995793, -0.14433756729740643, -0.2066677728969431,
-      0.018662812288217916,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, -0.1866898618517686,
-      0.09059119382398736,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, -0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, -0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, -0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, -0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, 0.01489065571515132,
-      -0.20697375990463268,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, 0.08717141690081442,
-      -0.18831094761641476,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, 0.11949635599612865,
-      0.16964813532819684,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, 0.1717992061366173,
-      0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, 0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      -0.19721359549995793, -0.14433756729740643, 0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, -0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, -0.19746484155020672,
-      -0.10925400611220526,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, 0.004115676016713249,
-      0.2256365721928506,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, 0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, 0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, -0.11386132244975469, 0.19334916553349346,
-      -0.11638256608064532,
-    ],
-    [-0.19721359549995793, -0.11386132244975469, 0.22567410462880766, 0.0],
-    [
-      -0.19721359549995793, -0.06454972243679027, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, -0.06454972243679027, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, -0.06454972243679027, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      -0.19721359549995793, -0.06454972243679027, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      -0.19721359549995793, -0.06454972243679027, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      -0.19721359549995793, -0.06454972243679027, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      -0.19721359549995793, -0.03407347758913852, -0.2456520156739821,
-      0.0488598768962137,
-    ],
-    [
-      -0.19721359549995793, -0.03407347758913852, -0.14104631539300477,
-      -0.20697375990463268,
-    ],
-    [
-      -0.19721359549995793, -0.03407347758913852, -0.10872137629769058,
-      0.2256365721928506,
-    ],
-    [
-      -0.19721359549995793, -0.03407347758913852, 0.0805121132190896,
-      -0.23717082451262844,
-    ],
-    [
-      -0.19721359549995793, -0.03407347758913852, 0.16513990245489246,
-      0.18831094761641476,
-    ],
-    [
-      -0.19721359549995793, -0.03407347758913852, 0.24976769169069535,
-      -0.018662812288217916,
-    ],
-    [-0.19721359549995793, -0.015238122423825877, -0.25231131935570694, 0.0],
-    [
-      -0.19721359549995793, -0.015238122423825877, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      -0.19721359549995793, -0.015238122423825877, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      -0.19721359549995793, -0.015238122423825877, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, -0.015238122423825877, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, -0.015238122423825877, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, 0.015238122423825877, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, 0.015238122423825877, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, 0.015238122423825877, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, 0.015238122423825877, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      -0.19721359549995793, 0.015238122423825877, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [-0.19721359549995793, 0.015238122423825877, 0.25231131935570694, 0.0],
-    [
-      -0.19721359549995793, 0.03407347758913852, -0.24976769169069535,
-      0.018662812288217916,
-    ],
-    [
-      -0.19721359549995793, 0.03407347758913852, -0.16513990245489246,
-      -0.18831094761641476,
-    ],
-    [
-      -0.19721359549995793, 0.03407347758913852, -0.0805121132190896,
-      0.23717082451262844,
-    ],
-    [
-      -0.19721359549995793, 0.03407347758913852, 0.10872137629769058,
-      -0.2256365721928506,
-    ],
-    [
-      -0.19721359549995793, 0.03407347758913852, 0.14104631539300477,
-      0.20697375990463268,
-    ],
-    [
-      -0.19721359549995793, 0.03407347758913852, 0.2456520156739821,
-      -0.0488598768962137,
-    ],
-    [
-      -0.19721359549995793, 0.06454972243679027, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      -0.19721359549995793, 0.06454972243679027, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      -0.19721359549995793, 0.06454972243679027, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      -0.19721359549995793, 0.06454972243679027, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      -0.19721359549995793, 0.06454972243679027, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, 0.06454972243679027, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [-0.19721359549995793, 0.11386132244975469, -0.22567410462880766, 0.0],
-    [
-      -0.19721359549995793, 0.11386132244975469, -0.19334916553349346,
-      0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, -0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, -0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, -0.004115676016713249,
-      -0.2256365721928506,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, 0.19746484155020672,
-      0.10925400611220526,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, 0.11386132244975469, 0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, -0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, -0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, -0.1717992061366173,
-      -0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, -0.11949635599612865,
-      -0.16964813532819684,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, -0.08717141690081442,
-      0.18831094761641476,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, -0.01489065571515132,
-      0.20697375990463268,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, 0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, 0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, 0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, 0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, 0.1866898618517686,
-      -0.09059119382398736,
-    ],
-    [
-      -0.19721359549995793, 0.14433756729740643, 0.2066677728969431,
-      -0.018662812288217916,
-    ],
-    [-0.19721359549995793, 0.1748138121450582, -0.18257418583505536, 0.0],
-    [
-      -0.19721359549995793, 0.1748138121450582, -0.13027133569456673,
-      -0.12791681840042318,
-    ],
-    [
-      -0.19721359549995793, 0.1748138121450582, -0.04564354645876384,
-      0.17677669529663687,
-    ],
-    [
-      -0.19721359549995793, 0.1748138121450582, 0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, 0.1748138121450582, 0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      -0.19721359549995793, 0.1748138121450582, 0.17591488215333057,
-      -0.0488598768962137,
-    ],
-    [
-      -0.19721359549995793, 0.22412541215802262, -0.1153806799794154,
-      -0.018662812288217916,
-    ],
-    [
-      -0.19721359549995793, 0.22412541215802262, -0.09540276893424093,
-      -0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, 0.22412541215802262, -0.010774979698438068,
-      0.11638256608064532,
-    ],
-    [
-      -0.19721359549995793, 0.22412541215802262, 0.0415278704420506,
-      0.10925400611220526,
-    ],
-    [
-      -0.19721359549995793, 0.22412541215802262, 0.07385280953736481,
-      -0.09059119382398736,
-    ],
-    [
-      -0.19721359549995793, 0.22412541215802262, 0.10617774863267901,
-      -0.0488598768962137,
-    ],
-    [-0.19721359549995793, 0.24296076732333527, -0.06973713352065156, 0.0],
-    [
-      -0.19721359549995793, 0.24296076732333527, -0.049759222475477094,
-      -0.0488598768962137,
-    ],
-    [
-      -0.19721359549995793, 0.24296076732333527, -0.01743428338016289,
-      0.0675226891844316,
-    ],
-    [
-      -0.19721359549995793, 0.24296076732333527, 0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, 0.24296076732333527, 0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      -0.19721359549995793, 0.24296076732333527, 0.06719350585563999,
-      -0.018662812288217916,
-    ],
-    [
-      -0.18090169943749473, -0.2523784449059916, -0.07385280953736481,
-      -0.03019706460799578,
-    ],
-    [
-      -0.18090169943749473, -0.2523784449059916, 0.010774979698438068,
-      0.07905694150420947,
-    ],
-    [
-      -0.18090169943749473, -0.2523784449059916, 0.06307782983892674,
-      -0.0488598768962137,
-    ],
-    [
-      -0.18090169943749473, -0.2147077345753663, -0.15182129509144282,
-      0.03019706460799578,
-    ],
-    [
-      -0.18090169943749473, -0.2147077345753663, -0.08717141690081442,
-      -0.12791681840042318,
-    ],
-    [
-      -0.18090169943749473, -0.2147077345753663, -0.06719350585563999,
-      0.13945107072020108,
-    ],
-    [
-      -0.18090169943749473, -0.2147077345753663, 0.049759222475477094,
-      -0.1465796306886411,
-    ],
-    [
-      -0.18090169943749473, -0.2147077345753663, 0.10206207261596575,
-      0.11638256608064532,
-    ],
-    [
-      -0.18090169943749473, -0.2147077345753663, 0.15436492275645441,
-      -0.01153425231977787,
-    ],
-    [
-      -0.18090169943749473, -0.15375524488006276, -0.2133270765786679,
-      -0.03019706460799578,
-    ],
-    [
-      -0.18090169943749473, -0.15375524488006276, -0.17337125448831897,
-      -0.12791681840042318,
-    ],
-    [
-      -0.18090169943749473, -0.15375524488006276, -0.024093587061887703,
-      0.2141023198730727,
-    ],
-    [
-      -0.18090169943749473, -0.15375524488006276, 0.0805121132190896,
-      0.1998451999361926,
-    ],
-    [
-      -0.18090169943749473, -0.15375524488006276, 0.13281496335957826,
-      -0.16964813532819684,
-    ],
-    [
-      -0.18090169943749473, -0.15375524488006276, 0.19746484155020672,
-      -0.08618550147264953,
-    ],
-    [
-      -0.18090169943749473, -0.1349198897147501, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      -0.18090169943749473, -0.1349198897147501, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      -0.18090169943749473, -0.1349198897147501, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      -0.18090169943749473, -0.0739674000194466, -0.24153633965726884,
-      0.07905694150420947,
-    ],
-    [
-      -0.18090169943749473, -0.0739674000194466, -0.13693063937629152,
-      0.2141023198730727,
-    ],
-    [
-      -0.18090169943749473, -0.0739674000194466, -0.11695272833111708,
-      -0.2256365721928506,
-    ],
-    [
-      -0.18090169943749473, -0.0739674000194466, 0.05230285014048866,
-      -0.24870507683240634,
-    ],
-    [
-      -0.18090169943749473, -0.0739674000194466, 0.1892334895167802,
-      0.16964813532819684,
-    ],
-    [
-      -0.18090169943749473, -0.0739674000194466, 0.2538833677074086,
-      0.01153425231977787,
-    ],
-    [
-      -0.18090169943749473, -0.024655800006482202, -0.2589706230374318,
-      -0.0488598768962137,
-    ],
-    [
-      -0.18090169943749473, -0.024655800006482202, -0.2190148009470828,
-      -0.1465796306886411,
-    ],
-    [
-      -0.18090169943749473, -0.024655800006482202, -0.01743428338016289,
-      0.26296219676928645,
-    ],
-    [
-      -0.18090169943749473, -0.024655800006482202, 0.08717141690081442,
-      0.24870507683240634,
-    ],
-    [
-      -0.18090169943749473, -0.024655800006482202, 0.1717992061366173,
-      -0.1998451999361926,
-    ],
-    [
-      -0.18090169943749473, -0.024655800006482202, 0.2364490843272457,
-      -0.11638256608064532,
-    ],
-    [
-      -0.18090169943749473, 0.024655800006482202, -0.2364490843272457,
-      0.11638256608064532,
-    ],
-    [
-      -0.18090169943749473, 0.024655800006482202, -0.1717992061366173,
-      0.1998451999361926,
-    ],
-    [
-      -0.18090169943749473, 0.024655800006482202, -0.08717141690081442,
-      -0.24870507683240634,
-    ],
-    [
-      -0.18090169943749473, 0.024655800006482202, 0.01743428338016289,
-      -0.26296219676928645,
-    ],
-    [
-      -0.18090169943749473, 0.024655800006482202, 0.2190148009470828,
-      0.1465796306886411,
-    ],
-    [
-      -0.18090169943749473, 0.024655800006482202, 0.2589706230374318,
-      0.0488598768962137,
-    ],
-    [
-      -0.18090169943749473, 0.0739674000194466, -0.2538833677074086,
-      -0.01153425231977787,
-    ],
-    [
-      -0.18090169943749473, 0.0739674000194466, -0.1892334895167802,
-      -0.16964813532819684,
-    ],
-    [
-      -0.18090169943749473, 0.0739674000194466, -0.05230285014048866,
-      0.24870507683240634,
-    ],
-    [
-      -0.18090169943749473, 0.0739674000194466, 0.11695272833111708,
-      0.2256365721928506,
-    ],
-    [
-      -0.18090169943749473, 0.0739674000194466, 0.13693063937629152,
-      -0.2141023198730727,
-    ],
-    [
-      -0.18090169943749473, 0.0739674000194466, 0.24153633965726884,
-      -0.07905694150420947,
-    ],
-    [
-      -0.18090169943749473, 0.1349198897147501, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      -0.18090169943749473, 0.1349198897147501, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      -0.18090169943749473, 0.1349198897147501, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      -0.18090169943749473, 0.15375524488006276, -0.19746484155020672,
-      0.08618550147264953,
-    ],
-    [
-      -0.18090169943749473, 0.15375524488006276, -0.13281496335957826,
-      0.16964813532819684,
-    ],
-    [
-      -0.18090169943749473, 0.15375524488006276, -0.0805121132190896,
-      -0.1998451999361926,
-    ],
-    [
-      -0.18090169943749473, 0.15375524488006276, 0.024093587061887703,
-      -0.2141023198730727,
-    ],
-    [
-      -0.18090169943749473, 0.15375524488006276, 0.17337125448831897,
-      0.12791681840042318,
-    ],
-    [
-      -0.18090169943749473, 0.15375524488006276, 0.2133270765786679,
-      0.03019706460799578,
-    ],
-    [
-      -0.18090169943749473, 0.2147077345753663, -0.15436492275645441,
-      0.01153425231977787,
-    ],
-    [
-      -0.18090169943749473, 0.2147077345753663, -0.10206207261596575,
-      -0.11638256608064532,
-    ],
-    [
-      -0.18090169943749473, 0.2147077345753663, -0.049759222475477094,
-      0.1465796306886411,
-    ],
-    [
-      -0.18090169943749473, 0.2147077345753663, 0.06719350585563999,
-      -0.13945107072020108,
-    ],
-    [
-      -0.18090169943749473, 0.2147077345753663, 0.08717141690081442,
-      0.12791681840042318,
-    ],
-    [
-      -0.18090169943749473, 0.2147077345753663, 0.15182129509144282,
-      -0.03019706460799578,
-    ],
-    [
-      -0.18090169943749473, 0.2523784449059916, -0.06307782983892674,
-      0.0488598768962137,
-    ],
-    [
-      -0.18090169943749473, 0.2523784449059916, -0.010774979698438068,
-      -0.07905694150420947,
-    ],
-    [
-      -0.18090169943749473, 0.2523784449059916, 0.07385280953736481,
-      0.03019706460799578,
-    ],
-    [
-      -0.16458980337503154, -0.24296076732333527, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      -0.16458980337503154, -0.24296076732333527, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, -0.24296076732333527, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      -0.16458980337503154, -0.22412541215802262, -0.15848059877316767,
-      -0.018662812288217916,
-    ],
-    [
-      -0.16458980337503154, -0.22412541215802262, -0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, -0.22412541215802262, -0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      -0.16458980337503154, -0.22412541215802262, 0.06307782983892674,
-      0.1465796306886411,
-    ],
-    [
-      -0.16458980337503154, -0.22412541215802262, 0.09540276893424093,
-      -0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, -0.22412541215802262, 0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      -0.16458980337503154, -0.19364916731037085, -0.1892334895167802,
-      -0.0488598768962137,
-    ],
-    [
-      -0.16458980337503154, -0.19364916731037085, -0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [-0.16458980337503154, -0.19364916731037085, 0.0, 0.1954395075848548],
-    [
-      -0.16458980337503154, -0.19364916731037085, 0.05230285014048866,
-      0.18831094761641476,
-    ],
-    [
-      -0.16458980337503154, -0.19364916731037085, 0.13693063937629152,
-      -0.13945107072020108,
-    ],
-    [
-      -0.16458980337503154, -0.19364916731037085, 0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, -0.09502596728444204, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.16458980337503154, -0.09502596728444204, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.16458980337503154, -0.09502596728444204, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, -0.06454972243679027, -0.23487703597554405,
-      0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, -0.06454972243679027, -0.18257418583505536,
-      0.1954395075848548,
-    ],
-    [
-      -0.16458980337503154, -0.06454972243679027, -0.07796848555407804,
-      -0.25583363680084636,
-    ],
-    [
-      -0.16458980337503154, -0.06454972243679027, 0.006659303681724819,
-      -0.26736788912062426,
-    ],
-    [
-      -0.16458980337503154, -0.06454972243679027, 0.2282177322938192,
-      0.13945107072020108,
-    ],
-    [
-      -0.16458980337503154, -0.06454972243679027, 0.26054267138913345,
-      0.06039412921599156,
-    ],
-    [
-      -0.16458980337503154, -0.015238122423825877, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      -0.16458980337503154, -0.015238122423825877, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      -0.16458980337503154, -0.015238122423825877, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      -0.16458980337503154, -0.015238122423825877, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      -0.16458980337503154, -0.015238122423825877, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, -0.015238122423825877, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      -0.16458980337503154, 0.015238122423825877, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      -0.16458980337503154, 0.015238122423825877, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, 0.015238122423825877, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      -0.16458980337503154, 0.015238122423825877, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      -0.16458980337503154, 0.015238122423825877, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      -0.16458980337503154, 0.015238122423825877, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      -0.16458980337503154, 0.06454972243679027, -0.26054267138913345,
-      -0.06039412921599156,
-    ],
-    [
-      -0.16458980337503154, 0.06454972243679027, -0.2282177322938192,
-      -0.13945107072020108,
-    ],
-    [
-      -0.16458980337503154, 0.06454972243679027, -0.006659303681724819,
-      0.26736788912062426,
-    ],
-    [
-      -0.16458980337503154, 0.06454972243679027, 0.07796848555407804,
-      0.25583363680084636,
-    ],
-    [
-      -0.16458980337503154, 0.06454972243679027, 0.18257418583505536,
-      -0.1954395075848548,
-    ],
-    [
-      -0.16458980337503154, 0.06454972243679027, 0.23487703597554405,
-      -0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, 0.09502596728444204, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, 0.09502596728444204, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.16458980337503154, 0.09502596728444204, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.16458980337503154, 0.19364916731037085, -0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, 0.19364916731037085, -0.13693063937629152,
-      0.13945107072020108,
-    ],
-    [
-      -0.16458980337503154, 0.19364916731037085, -0.05230285014048866,
-      -0.18831094761641476,
-    ],
-    [-0.16458980337503154, 0.19364916731037085, 0.0, -0.1954395075848548],
-    [
-      -0.16458980337503154, 0.19364916731037085, 0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, 0.19364916731037085, 0.1892334895167802,
-      0.0488598768962137,
-    ],
-    [
-      -0.16458980337503154, 0.22412541215802262, -0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      -0.16458980337503154, 0.22412541215802262, -0.09540276893424093,
-      0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, 0.22412541215802262, -0.06307782983892674,
-      -0.1465796306886411,
-    ],
-    [
-      -0.16458980337503154, 0.22412541215802262, 0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      -0.16458980337503154, 0.22412541215802262, 0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      -0.16458980337503154, 0.22412541215802262, 0.15848059877316767,
-      0.018662812288217916,
-    ],
-    [
-      -0.16458980337503154, 0.24296076732333527, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      -0.16458980337503154, 0.24296076732333527, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      -0.16458980337503154, 0.24296076732333527, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, -0.08462778923580286,
-      0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, -0.05230285014048866,
-      -0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, -0.03232493909531421,
-      0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, 0.03232493909531421,
-      -0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, 0.05230285014048866,
-      0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, -0.2676165673298174, 0.08462778923580286,
-      -0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, -0.24878121216450483, -0.12361203201284189,
-      0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, -0.24878121216450483, -0.07130918187235323,
-      0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, -0.24878121216450483, -0.05896215382221348,
-      -0.11638256608064532,
-    ],
-    [
-      -0.15450849718747373, -0.24878121216450483, 0.025665635413589384,
-      -0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, -0.24878121216450483, 0.0979463965992525,
-      0.08618550147264953,
-    ],
-    [
-      -0.15450849718747373, -0.24878121216450483, 0.13027133569456673,
-      0.007128559968440045,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, -0.19334916553349346,
-      0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, -0.10872137629769058,
-      -0.16524244297685903,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, -0.08874346525251611,
-      0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, 0.060534202173915155,
-      -0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, 0.13281496335957826,
-      0.1465796306886411,
-    ],
-    [
-      -0.15450849718747373, -0.1994696121515404, 0.19746484155020672,
-      -0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, -0.16899336730388864, -0.22410205627710594,
-      0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, -0.16899336730388864, -0.15182129509144282,
-      -0.16524244297685903,
-    ],
-    [
-      -0.15450849718747373, -0.16899336730388864, -0.06719350585563999,
-      0.2141023198730727,
-    ],
-    [
-      -0.15450849718747373, -0.16899336730388864, 0.10206207261596575,
-      -0.1998451999361926,
-    ],
-    [
-      -0.15450849718747373, -0.16899336730388864, 0.12203998366114022,
-      0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, -0.16899336730388864, 0.2190148009470828,
-      -0.0488598768962137,
-    ],
-    [
-      -0.15450849718747373, -0.150158012138576, -0.2107834489136563,
-      0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, -0.150158012138576, -0.15848059877316767,
-      0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, -0.150158012138576, -0.07385280953736481,
-      -0.2256365721928506,
-    ],
-    [
-      -0.15450849718747373, -0.150158012138576, 0.010774979698438068,
-      -0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, -0.150158012138576, 0.20000846921521825,
-      0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, -0.150158012138576, 0.23233340831053245,
-      0.0488598768962137,
-    ],
-    [
-      -0.15450849718747373, -0.13851712245623687, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, -0.13851712245623687, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      -0.15450849718747373, -0.13851712245623687, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, -0.13851712245623687, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, -0.13851712245623687, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      -0.15450849718747373, -0.13851712245623687, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, -0.11968176729092425, -0.24153633965726884,
-      0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, -0.11968176729092425, -0.13693063937629152,
-      0.2141023198730727,
-    ],
-    [
-      -0.15450849718747373, -0.11968176729092425, -0.11695272833111708,
-      -0.2256365721928506,
-    ],
-    [
-      -0.15450849718747373, -0.11968176729092425, 0.05230285014048866,
-      -0.24870507683240634,
-    ],
-    [
-      -0.15450849718747373, -0.11968176729092425, 0.1892334895167802,
-      0.16964813532819684,
-    ],
-    [
-      -0.15450849718747373, -0.11968176729092425, 0.2538833677074086,
-      0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, -0.05872927759562073, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, -0.05872927759562073, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, -0.05872927759562073, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      -0.15450849718747373, -0.05872927759562073, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      -0.15450849718747373, -0.05872927759562073, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, -0.05872927759562073, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      -0.15450849718747373, -0.03989392243030808, -0.2697456027358698,
-      0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, -0.03989392243030808, -0.14516199140971803,
-      -0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, -0.03989392243030808, -0.13281496335957826,
-      0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, -0.03989392243030808, 0.07639643720237638,
-      -0.26736788912062426,
-    ],
-    [
-      -0.15450849718747373, -0.03989392243030808, 0.19334916553349346,
-      0.1998451999361926,
-    ],
-    [
-      -0.15450849718747373, -0.03989392243030808, 0.2779769547692963,
-      -0.007128559968440045,
-    ],
-    [
-      -0.15450849718747373, -0.009417677582656322, -0.2805205824343079,
-      -0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, -0.009417677582656322, -0.20823982124864476,
-      -0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, -0.009417677582656322, -0.05896215382221348,
-      0.27449644908906423,
-    ],
-    [
-      -0.15450849718747373, -0.009417677582656322, 0.13027133569456673,
-      0.24870507683240634,
-    ],
-    [
-      -0.15450849718747373, -0.009417677582656322, 0.15024924673974116,
-      -0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, -0.009417677582656322, 0.2672019750708582,
-      -0.08618550147264953,
-    ],
-    [
-      -0.15450849718747373, 0.009417677582656322, -0.2672019750708582,
-      0.08618550147264953,
-    ],
-    [
-      -0.15450849718747373, 0.009417677582656322, -0.15024924673974116,
-      0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, 0.009417677582656322, -0.13027133569456673,
-      -0.24870507683240634,
-    ],
-    [
-      -0.15450849718747373, 0.009417677582656322, 0.05896215382221348,
-      -0.27449644908906423,
-    ],
-    [
-      -0.15450849718747373, 0.009417677582656322, 0.20823982124864476,
-      0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, 0.009417677582656322, 0.2805205824343079,
-      0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, 0.03989392243030808, -0.2779769547692963,
-      0.007128559968440045,
-    ],
-    [
-      -0.15450849718747373, 0.03989392243030808, -0.19334916553349346,
-      -0.1998451999361926,
-    ],
-    [
-      -0.15450849718747373, 0.03989392243030808, -0.07639643720237638,
-      0.26736788912062426,
-    ],
-    [
-      -0.15450849718747373, 0.03989392243030808, 0.13281496335957826,
-      -0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, 0.03989392243030808, 0.14516199140971803,
-      0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, 0.03989392243030808, 0.2697456027358698,
-      -0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, 0.05872927759562073, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      -0.15450849718747373, 0.05872927759562073, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, 0.05872927759562073, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      -0.15450849718747373, 0.05872927759562073, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      -0.15450849718747373, 0.05872927759562073, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, 0.05872927759562073, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, 0.11968176729092425, -0.2538833677074086,
-      -0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, 0.11968176729092425, -0.1892334895167802,
-      -0.16964813532819684,
-    ],
-    [
-      -0.15450849718747373, 0.11968176729092425, -0.05230285014048866,
-      0.24870507683240634,
-    ],
-    [
-      -0.15450849718747373, 0.11968176729092425, 0.11695272833111708,
-      0.2256365721928506,
-    ],
-    [
-      -0.15450849718747373, 0.11968176729092425, 0.13693063937629152,
-      -0.2141023198730727,
-    ],
-    [
-      -0.15450849718747373, 0.11968176729092425, 0.24153633965726884,
-      -0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, 0.13851712245623687, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, 0.13851712245623687, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      -0.15450849718747373, 0.13851712245623687, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, 0.13851712245623687, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      -0.15450849718747373, 0.13851712245623687, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      -0.15450849718747373, 0.13851712245623687, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, 0.150158012138576, -0.23233340831053245,
-      -0.0488598768962137,
-    ],
-    [
-      -0.15450849718747373, 0.150158012138576, -0.20000846921521825,
-      -0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, 0.150158012138576, -0.010774979698438068,
-      0.23717082451262844,
-    ],
-    [
-      -0.15450849718747373, 0.150158012138576, 0.07385280953736481,
-      0.2256365721928506,
-    ],
-    [
-      -0.15450849718747373, 0.150158012138576, 0.15848059877316767,
-      -0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, 0.150158012138576, 0.2107834489136563,
-      -0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, 0.16899336730388864, -0.2190148009470828,
-      0.0488598768962137,
-    ],
-    [
-      -0.15450849718747373, 0.16899336730388864, -0.12203998366114022,
-      -0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, 0.16899336730388864, -0.10206207261596575,
-      0.1998451999361926,
-    ],
-    [
-      -0.15450849718747373, 0.16899336730388864, 0.06719350585563999,
-      -0.2141023198730727,
-    ],
-    [
-      -0.15450849718747373, 0.16899336730388864, 0.15182129509144282,
-      0.16524244297685903,
-    ],
-    [
-      -0.15450849718747373, 0.16899336730388864, 0.22410205627710594,
-      -0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, -0.19746484155020672,
-      0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, -0.13281496335957826,
-      -0.1465796306886411,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, -0.060534202173915155,
-      0.18831094761641476,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, 0.08874346525251611,
-      -0.17677669529663687,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, 0.10872137629769058,
-      0.16524244297685903,
-    ],
-    [
-      -0.15450849718747373, 0.1994696121515404, 0.19334916553349346,
-      -0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, 0.24878121216450483, -0.13027133569456673,
-      -0.007128559968440045,
-    ],
-    [
-      -0.15450849718747373, 0.24878121216450483, -0.0979463965992525,
-      -0.08618550147264953,
-    ],
-    [
-      -0.15450849718747373, 0.24878121216450483, -0.025665635413589384,
-      0.12791681840042318,
-    ],
-    [
-      -0.15450849718747373, 0.24878121216450483, 0.05896215382221348,
-      0.11638256608064532,
-    ],
-    [
-      -0.15450849718747373, 0.24878121216450483, 0.07130918187235323,
-      -0.10925400611220526,
-    ],
-    [
-      -0.15450849718747373, 0.24878121216450483, 0.12361203201284189,
-      -0.041731316927773654,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, -0.08462778923580286,
-      0.01153425231977787,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, -0.05230285014048866,
-      -0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, -0.03232493909531421,
-      0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, 0.03232493909531421,
-      -0.07905694150420947,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, 0.05230285014048866,
-      0.0675226891844316,
-    ],
-    [
-      -0.15450849718747373, 0.2676165673298174, 0.08462778923580286,
-      -0.01153425231977787,
-    ],
-    [
-      -0.13819660112501053, -0.2581988897471611, -0.13027133569456673,
-      -0.007128559968440045,
-    ],
-    [
-      -0.13819660112501053, -0.2581988897471611, -0.0979463965992525,
-      -0.08618550147264953,
-    ],
-    [
-      -0.13819660112501053, -0.2581988897471611, -0.025665635413589384,
-      0.12791681840042318,
-    ],
-    [
-      -0.13819660112501053, -0.2581988897471611, 0.05896215382221348,
-      0.11638256608064532,
-    ],
-    [
-      -0.13819660112501053, -0.2581988897471611, 0.07130918187235323,
-      -0.10925400611220526,
-    ],
-    [
-      -0.13819660112501053, -0.2581988897471611, 0.12361203201284189,
-      -0.041731316927773654,
-    ],
-    [
-      -0.13819660112501053, -0.20888728973419673, -0.20000846921521825,
-      -0.007128559968440045,
-    ],
-    [
-      -0.13819660112501053, -0.20888728973419673, -0.14770561907472962,
-      -0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, -0.20888728973419673, -0.04309991879375227,
-      0.1954395075848548,
-    ],
-    [
-      -0.13819660112501053, -0.20888728973419673, 0.09383072058253925,
-      0.17677669529663687,
-    ],
-    [
-      -0.13819660112501053, -0.20888728973419673, 0.10617774863267901,
-      -0.16964813532819684,
-    ],
-    [
-      -0.13819660112501053, -0.20888728973419673, 0.19080553786848187,
-      -0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      -0.13819660112501053, -0.11026408970826793, -0.23487703597554405,
-      0.12791681840042318,
-    ],
-    [
-      -0.13819660112501053, -0.11026408970826793, -0.18257418583505536,
-      0.1954395075848548,
-    ],
-    [
-      -0.13819660112501053, -0.11026408970826793, -0.07796848555407804,
-      -0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, -0.11026408970826793, 0.006659303681724819,
-      -0.26736788912062426,
-    ],
-    [
-      -0.13819660112501053, -0.11026408970826793, 0.2282177322938192,
-      0.13945107072020108,
-    ],
-    [
-      -0.13819660112501053, -0.11026408970826793, 0.26054267138913345,
-      0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, -0.030476244847651754, -0.26308629905414493,
-      0.11638256608064532,
-    ],
-    [
-      -0.13819660112501053, -0.030476244847651754, -0.1784585098183421,
-      0.2256365721928506,
-    ],
-    [
-      -0.13819660112501053, -0.030476244847651754, -0.10617774863267901,
-      -0.26736788912062426,
-    ],
-    [
-      -0.13819660112501053, -0.030476244847651754, 0.030752890743612524,
-      -0.2860307014088421,
-    ],
-    [
-      -0.13819660112501053, -0.030476244847651754, 0.23233340831053245,
-      0.16964813532819684,
-    ],
-    [
-      -0.13819660112501053, -0.030476244847651754, 0.28463625845102114,
-      0.041731316927773654,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      -0.13819660112501053, 0.030476244847651754, -0.28463625845102114,
-      -0.041731316927773654,
-    ],
-    [
-      -0.13819660112501053, 0.030476244847651754, -0.23233340831053245,
-      -0.16964813532819684,
-    ],
-    [
-      -0.13819660112501053, 0.030476244847651754, -0.030752890743612524,
-      0.2860307014088421,
-    ],
-    [
-      -0.13819660112501053, 0.030476244847651754, 0.10617774863267901,
-      0.26736788912062426,
-    ],
-    [
-      -0.13819660112501053, 0.030476244847651754, 0.1784585098183421,
-      -0.2256365721928506,
-    ],
-    [
-      -0.13819660112501053, 0.030476244847651754, 0.26308629905414493,
-      -0.11638256608064532,
-    ],
-    [
-      -0.13819660112501053, 0.11026408970826793, -0.26054267138913345,
-      -0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, 0.11026408970826793, -0.2282177322938192,
-      -0.13945107072020108,
-    ],
-    [
-      -0.13819660112501053, 0.11026408970826793, -0.006659303681724819,
-      0.26736788912062426,
-    ],
-    [
-      -0.13819660112501053, 0.11026408970826793, 0.07796848555407804,
-      0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, 0.11026408970826793, 0.18257418583505536,
-      -0.1954395075848548,
-    ],
-    [
-      -0.13819660112501053, 0.11026408970826793, 0.23487703597554405,
-      -0.12791681840042318,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      -0.13819660112501053, 0.20888728973419673, -0.19080553786848187,
-      0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, 0.20888728973419673, -0.10617774863267901,
-      0.16964813532819684,
-    ],
-    [
-      -0.13819660112501053, 0.20888728973419673, -0.09383072058253925,
-      -0.17677669529663687,
-    ],
-    [
-      -0.13819660112501053, 0.20888728973419673, 0.04309991879375227,
-      -0.1954395075848548,
-    ],
-    [
-      -0.13819660112501053, 0.20888728973419673, 0.14770561907472962,
-      0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, 0.20888728973419673, 0.20000846921521825,
-      0.007128559968440045,
-    ],
-    [
-      -0.13819660112501053, 0.2581988897471611, -0.12361203201284189,
-      0.041731316927773654,
-    ],
-    [
-      -0.13819660112501053, 0.2581988897471611, -0.07130918187235323,
-      0.10925400611220526,
-    ],
-    [
-      -0.13819660112501053, 0.2581988897471611, -0.05896215382221348,
-      -0.11638256608064532,
-    ],
-    [
-      -0.13819660112501053, 0.2581988897471611, 0.025665635413589384,
-      -0.12791681840042318,
-    ],
-    [
-      -0.13819660112501053, 0.2581988897471611, 0.0979463965992525,
-      0.08618550147264953,
-    ],
-    [
-      -0.13819660112501053, 0.2581988897471611, 0.13027133569456673,
-      0.007128559968440045,
-    ],
-    [
-      -0.12811529493745266, -0.28285468975364336, -0.06307782983892674,
-      0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, -0.28285468975364336, -0.010774979698438068,
-      -0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, -0.28285468975364336, 0.07385280953736481,
-      0.03019706460799578,
-    ],
-    [
-      -0.12811529493745266, -0.2640193345883307, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, -0.2640193345883307, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      -0.12811529493745266, -0.2640193345883307, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, -0.18423148972771453, -0.21489912493036956,
-      0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, -0.18423148972771453, -0.13027133569456673,
-      0.18831094761641476,
-    ],
-    [
-      -0.12811529493745266, -0.18423148972771453, -0.0979463965992525,
-      -0.20697375990463268,
-    ],
-    [
-      -0.12811529493745266, -0.18423148972771453, 0.03898424277703902,
-      -0.2256365721928506,
-    ],
-    [
-      -0.12811529493745266, -0.18423148972771453, 0.17591488215333057,
-      0.1465796306886411,
-    ],
-    [
-      -0.12811529493745266, -0.18423148972771453, 0.2282177322938192,
-      0.018662812288217916,
-    ],
-    [
-      -0.12811529493745266, -0.15375524488006276, -0.2456520156739821,
-      0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, -0.15375524488006276, -0.14104631539300477,
-      -0.20697375990463268,
-    ],
-    [
-      -0.12811529493745266, -0.15375524488006276, -0.10872137629769058,
-      0.2256365721928506,
-    ],
-    [
-      -0.12811529493745266, -0.15375524488006276, 0.0805121132190896,
-      -0.23717082451262844,
-    ],
-    [
-      -0.12811529493745266, -0.15375524488006276, 0.16513990245489246,
-      0.18831094761641476,
-    ],
-    [
-      -0.12811529493745266, -0.15375524488006276, 0.24976769169069535,
-      -0.018662812288217916,
-    ],
-    [
-      -0.12811529493745266, -0.10444364486709837, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, -0.10444364486709837, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      -0.12811529493745266, -0.10444364486709837, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      -0.12811529493745266, -0.10444364486709837, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      -0.12811529493745266, -0.10444364486709837, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      -0.12811529493745266, -0.10444364486709837, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      -0.12811529493745266, -0.024655800006482202, -0.291295562132746,
-      0.03019706460799578,
-    ],
-    [
-      -0.12811529493745266, -0.024655800006482202, -0.1866898618517686,
-      -0.2256365721928506,
-    ],
-    [
-      -0.12811529493745266, -0.024655800006482202, -0.10206207261596575,
-      0.27449644908906423,
-    ],
-    [
-      -0.12811529493745266, -0.024655800006482202, 0.11949635599612865,
-      -0.26736788912062426,
-    ],
-    [
-      -0.12811529493745266, -0.024655800006482202, 0.1717992061366173,
-      0.23717082451262844,
-    ],
-    [
-      -0.12811529493745266, -0.024655800006482202, 0.2887519344677344,
-      -0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, 0.024655800006482202, -0.2887519344677344,
-      0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, 0.024655800006482202, -0.1717992061366173,
-      -0.23717082451262844,
-    ],
-    [
-      -0.12811529493745266, 0.024655800006482202, -0.11949635599612865,
-      0.26736788912062426,
-    ],
-    [
-      -0.12811529493745266, 0.024655800006482202, 0.10206207261596575,
-      -0.27449644908906423,
-    ],
-    [
-      -0.12811529493745266, 0.024655800006482202, 0.1866898618517686,
-      0.2256365721928506,
-    ],
-    [
-      -0.12811529493745266, 0.024655800006482202, 0.291295562132746,
-      -0.03019706460799578,
-    ],
-    [
-      -0.12811529493745266, 0.10444364486709837, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      -0.12811529493745266, 0.10444364486709837, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      -0.12811529493745266, 0.10444364486709837, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      -0.12811529493745266, 0.10444364486709837, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      -0.12811529493745266, 0.10444364486709837, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      -0.12811529493745266, 0.10444364486709837, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, 0.15375524488006276, -0.24976769169069535,
-      0.018662812288217916,
-    ],
-    [
-      -0.12811529493745266, 0.15375524488006276, -0.16513990245489246,
-      -0.18831094761641476,
-    ],
-    [
-      -0.12811529493745266, 0.15375524488006276, -0.0805121132190896,
-      0.23717082451262844,
-    ],
-    [
-      -0.12811529493745266, 0.15375524488006276, 0.10872137629769058,
-      -0.2256365721928506,
-    ],
-    [
-      -0.12811529493745266, 0.15375524488006276, 0.14104631539300477,
-      0.20697375990463268,
-    ],
-    [
-      -0.12811529493745266, 0.15375524488006276, 0.2456520156739821,
-      -0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, 0.18423148972771453, -0.2282177322938192,
-      -0.018662812288217916,
-    ],
-    [
-      -0.12811529493745266, 0.18423148972771453, -0.17591488215333057,
-      -0.1465796306886411,
-    ],
-    [
-      -0.12811529493745266, 0.18423148972771453, -0.03898424277703902,
-      0.2256365721928506,
-    ],
-    [
-      -0.12811529493745266, 0.18423148972771453, 0.0979463965992525,
-      0.20697375990463268,
-    ],
-    [
-      -0.12811529493745266, 0.18423148972771453, 0.13027133569456673,
-      -0.18831094761641476,
-    ],
-    [
-      -0.12811529493745266, 0.18423148972771453, 0.21489912493036956,
-      -0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, 0.2640193345883307, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      -0.12811529493745266, 0.2640193345883307, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      -0.12811529493745266, 0.2640193345883307, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, 0.28285468975364336, -0.07385280953736481,
-      -0.03019706460799578,
-    ],
-    [
-      -0.12811529493745266, 0.28285468975364336, 0.010774979698438068,
-      0.07905694150420947,
-    ],
-    [
-      -0.12811529493745266, 0.28285468975364336, 0.06307782983892674,
-      -0.0488598768962137,
-    ],
-    [-0.1118033988749895, -0.2922723673362997, -0.06973713352065156, 0.0],
-    [
-      -0.1118033988749895, -0.2922723673362997, -0.049759222475477094,
-      -0.0488598768962137,
-    ],
-    [
-      -0.1118033988749895, -0.2922723673362997, -0.01743428338016289,
-      0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, -0.2922723673362997, 0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, -0.2922723673362997, 0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, -0.2922723673362997, 0.06719350585563999,
-      -0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, -0.2546016570056744, -0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, -0.2546016570056744, -0.09540276893424093,
-      0.12791681840042318,
-    ],
-    [
-      -0.1118033988749895, -0.2546016570056744, -0.06307782983892674,
-      -0.1465796306886411,
-    ],
-    [
-      -0.1118033988749895, -0.2546016570056744, 0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      -0.1118033988749895, -0.2546016570056744, 0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      -0.1118033988749895, -0.2546016570056744, 0.15848059877316767,
-      0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, -0.22412541215802262, -0.19080553786848187,
-      0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, -0.22412541215802262, -0.10617774863267901,
-      0.16964813532819684,
-    ],
-    [
-      -0.1118033988749895, -0.22412541215802262, -0.09383072058253925,
-      -0.17677669529663687,
-    ],
-    [
-      -0.1118033988749895, -0.22412541215802262, 0.04309991879375227,
-      -0.1954395075848548,
-    ],
-    [
-      -0.1118033988749895, -0.22412541215802262, 0.14770561907472962,
-      0.1350453783688632,
-    ],
-    [
-      -0.1118033988749895, -0.22412541215802262, 0.20000846921521825,
-      0.007128559968440045,
-    ],
-    [
-      -0.1118033988749895, -0.1748138121450582, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      -0.1118033988749895, -0.1748138121450582, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      -0.1118033988749895, -0.1748138121450582, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      -0.1118033988749895, -0.1748138121450582, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, -0.1748138121450582, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      -0.1118033988749895, -0.1748138121450582, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [-0.1118033988749895, -0.16317292246271908, -0.25231131935570694, 0.0],
-    [
-      -0.1118033988749895, -0.16317292246271908, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      -0.1118033988749895, -0.16317292246271908, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, -0.16317292246271908, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, -0.16317292246271908, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, -0.16317292246271908, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, -0.14433756729740643, -0.2589706230374318,
-      -0.0488598768962137,
-    ],
-    [
-      -0.1118033988749895, -0.14433756729740643, -0.2190148009470828,
-      -0.1465796306886411,
-    ],
-    [
-      -0.1118033988749895, -0.14433756729740643, -0.01743428338016289,
-      0.26296219676928645,
-    ],
-    [
-      -0.1118033988749895, -0.14433756729740643, 0.08717141690081442,
-      0.24870507683240634,
-    ],
-    [
-      -0.1118033988749895, -0.14433756729740643, 0.1717992061366173,
-      -0.1998451999361926,
-    ],
-    [
-      -0.1118033988749895, -0.14433756729740643, 0.2364490843272457,
-      -0.11638256608064532,
-    ],
-    [
-      -0.1118033988749895, -0.11386132244975469, -0.2697456027358698,
-      0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, -0.11386132244975469, -0.14516199140971803,
-      -0.23717082451262844,
-    ],
-    [
-      -0.1118033988749895, -0.11386132244975469, -0.13281496335957826,
-      0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, -0.11386132244975469, 0.07639643720237638,
-      -0.26736788912062426,
-    ],
-    [
-      -0.1118033988749895, -0.11386132244975469, 0.19334916553349346,
-      0.1998451999361926,
-    ],
-    [
-      -0.1118033988749895, -0.11386132244975469, 0.2779769547692963,
-      -0.007128559968440045,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, -0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, -0.16259627478988092,
-      -0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, -0.13027133569456673,
-      0.26296219676928645,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, 0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, 0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1118033988749895, -0.06454972243679027, 0.29286761048444765,
-      -0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, -0.03407347758913852, -0.2979548658144707,
-      -0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, -0.03407347758913852, -0.22567410462880766,
-      -0.1954395075848548,
-    ],
-    [
-      -0.1118033988749895, -0.03407347758913852, -0.056418526157201915,
-      0.2931592613772822,
-    ],
-    [
-      -0.1118033988749895, -0.03407347758913852, 0.13281496335957826,
-      0.26736788912062426,
-    ],
-    [
-      -0.1118033988749895, -0.03407347758913852, 0.16513990245489246,
-      -0.24870507683240634,
-    ],
-    [
-      -0.1118033988749895, -0.03407347758913852, 0.28209263078600955,
-      -0.0977197537924274,
-    ],
-    [
-      -0.1118033988749895, 0.03407347758913852, -0.28209263078600955,
-      0.0977197537924274,
-    ],
-    [
-      -0.1118033988749895, 0.03407347758913852, -0.16513990245489246,
-      0.24870507683240634,
-    ],
-    [
-      -0.1118033988749895, 0.03407347758913852, -0.13281496335957826,
-      -0.26736788912062426,
-    ],
-    [
-      -0.1118033988749895, 0.03407347758913852, 0.056418526157201915,
-      -0.2931592613772822,
-    ],
-    [
-      -0.1118033988749895, 0.03407347758913852, 0.22567410462880766,
-      0.1954395075848548,
-    ],
-    [
-      -0.1118033988749895, 0.03407347758913852, 0.2979548658144707,
-      0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, -0.29286761048444765,
-      0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, -0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, -0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, 0.13027133569456673,
-      -0.26296219676928645,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, 0.16259627478988092,
-      0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, 0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, 0.06454972243679027, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, 0.11386132244975469, -0.2779769547692963,
-      0.007128559968440045,
-    ],
-    [
-      -0.1118033988749895, 0.11386132244975469, -0.19334916553349346,
-      -0.1998451999361926,
-    ],
-    [
-      -0.1118033988749895, 0.11386132244975469, -0.07639643720237638,
-      0.26736788912062426,
-    ],
-    [
-      -0.1118033988749895, 0.11386132244975469, 0.13281496335957826,
-      -0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, 0.11386132244975469, 0.14516199140971803,
-      0.23717082451262844,
-    ],
-    [
-      -0.1118033988749895, 0.11386132244975469, 0.2697456027358698,
-      -0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, 0.14433756729740643, -0.2364490843272457,
-      0.11638256608064532,
-    ],
-    [
-      -0.1118033988749895, 0.14433756729740643, -0.1717992061366173,
-      0.1998451999361926,
-    ],
-    [
-      -0.1118033988749895, 0.14433756729740643, -0.08717141690081442,
-      -0.24870507683240634,
-    ],
-    [
-      -0.1118033988749895, 0.14433756729740643, 0.01743428338016289,
-      -0.26296219676928645,
-    ],
-    [
-      -0.1118033988749895, 0.14433756729740643, 0.2190148009470828,
-      0.1465796306886411,
-    ],
-    [
-      -0.1118033988749895, 0.14433756729740643, 0.2589706230374318,
-      0.0488598768962137,
-    ],
-    [
-      -0.1118033988749895, 0.16317292246271908, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, 0.16317292246271908, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, 0.16317292246271908, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.1118033988749895, 0.16317292246271908, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, 0.16317292246271908, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [-0.1118033988749895, 0.16317292246271908, 0.25231131935570694, 0.0],
-    [
-      -0.1118033988749895, 0.1748138121450582, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, 0.1748138121450582, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      -0.1118033988749895, 0.1748138121450582, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      -0.1118033988749895, 0.1748138121450582, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      -0.1118033988749895, 0.1748138121450582, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      -0.1118033988749895, 0.1748138121450582, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      -0.1118033988749895, 0.22412541215802262, -0.20000846921521825,
-      -0.007128559968440045,
-    ],
-    [
-      -0.1118033988749895, 0.22412541215802262, -0.14770561907472962,
-      -0.1350453783688632,
-    ],
-    [
-      -0.1118033988749895, 0.22412541215802262, -0.04309991879375227,
-      0.1954395075848548,
-    ],
-    [
-      -0.1118033988749895, 0.22412541215802262, 0.09383072058253925,
-      0.17677669529663687,
-    ],
-    [
-      -0.1118033988749895, 0.22412541215802262, 0.10617774863267901,
-      -0.16964813532819684,
-    ],
-    [
-      -0.1118033988749895, 0.22412541215802262, 0.19080553786848187,
-      -0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, 0.2546016570056744, -0.15848059877316767,
-      -0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, 0.2546016570056744, -0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      -0.1118033988749895, 0.2546016570056744, -0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      -0.1118033988749895, 0.2546016570056744, 0.06307782983892674,
-      0.1465796306886411,
-    ],
-    [
-      -0.1118033988749895, 0.2546016570056744, 0.09540276893424093,
-      -0.12791681840042318,
-    ],
-    [
-      -0.1118033988749895, 0.2546016570056744, 0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, 0.2922723673362997, -0.06719350585563999,
-      0.018662812288217916,
-    ],
-    [
-      -0.1118033988749895, 0.2922723673362997, -0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, 0.2922723673362997, -0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      -0.1118033988749895, 0.2922723673362997, 0.01743428338016289,
-      -0.0675226891844316,
-    ],
-    [
-      -0.1118033988749895, 0.2922723673362997, 0.049759222475477094,
-      0.0488598768962137,
-    ],
-    [-0.1118033988749895, 0.2922723673362997, 0.06973713352065156, 0.0],
-    [
-      -0.09549150281252629, -0.28285468975364336, -0.1153806799794154,
-      -0.018662812288217916,
-    ],
-    [
-      -0.09549150281252629, -0.28285468975364336, -0.09540276893424093,
-      -0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, -0.28285468975364336, -0.010774979698438068,
-      0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, -0.28285468975364336, 0.0415278704420506,
-      0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, -0.28285468975364336, 0.07385280953736481,
-      -0.09059119382398736,
-    ],
-    [
-      -0.09549150281252629, -0.28285468975364336, 0.10617774863267901,
-      -0.0488598768962137,
-    ],
-    [
-      -0.09549150281252629, -0.2640193345883307, -0.15436492275645441,
-      0.01153425231977787,
-    ],
-    [
-      -0.09549150281252629, -0.2640193345883307, -0.10206207261596575,
-      -0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, -0.2640193345883307, -0.049759222475477094,
-      0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, -0.2640193345883307, 0.06719350585563999,
-      -0.13945107072020108,
-    ],
-    [
-      -0.09549150281252629, -0.2640193345883307, 0.08717141690081442,
-      0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, -0.2640193345883307, 0.15182129509144282,
-      -0.03019706460799578,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, -0.19746484155020672,
-      0.01153425231977787,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, -0.13281496335957826,
-      -0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, -0.060534202173915155,
-      0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, 0.08874346525251611,
-      -0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, 0.10872137629769058,
-      0.16524244297685903,
-    ],
-    [
-      -0.09549150281252629, -0.23354308974067894, 0.19334916553349346,
-      -0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, -0.20306684489302718, -0.2282177322938192,
-      -0.018662812288217916,
-    ],
-    [
-      -0.09549150281252629, -0.20306684489302718, -0.17591488215333057,
-      -0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, -0.20306684489302718, -0.03898424277703902,
-      0.2256365721928506,
-    ],
-    [
-      -0.09549150281252629, -0.20306684489302718, 0.0979463965992525,
-      0.20697375990463268,
-    ],
-    [
-      -0.09549150281252629, -0.20306684489302718, 0.13027133569456673,
-      -0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, -0.20306684489302718, 0.21489912493036956,
-      -0.07905694150420947,
-    ],
-    [
-      -0.09549150281252629, -0.18423148972771453, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, -0.18423148972771453, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, -0.18423148972771453, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, -0.18423148972771453, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      -0.09549150281252629, -0.18423148972771453, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      -0.09549150281252629, -0.18423148972771453, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, -0.1349198897147501, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, -0.1349198897147501, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, -0.1349198897147501, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      -0.09549150281252629, -0.1349198897147501, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      -0.09549150281252629, -0.1349198897147501, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, -0.1349198897147501, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      -0.09549150281252629, -0.10444364486709837, -0.26308629905414493,
-      0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, -0.10444364486709837, -0.1784585098183421,
-      0.2256365721928506,
-    ],
-    [
-      -0.09549150281252629, -0.10444364486709837, -0.10617774863267901,
-      -0.26736788912062426,
-    ],
-    [
-      -0.09549150281252629, -0.10444364486709837, 0.030752890743612524,
-      -0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, -0.10444364486709837, 0.23233340831053245,
-      0.16964813532819684,
-    ],
-    [
-      -0.09549150281252629, -0.10444364486709837, 0.28463625845102114,
-      0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.2805205824343079,
-      0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.17591488215333057,
-      0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, -0.12361203201284189,
-      -0.27449644908906423,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.04564354645876384,
-      -0.29756495372862,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.23487703597554405,
-      0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, -0.05513204485413396, 0.2995269141661725,
-      0.03019706460799578,
-    ],
-    [
-      -0.09549150281252629, -0.024655800006482202, -0.291295562132746,
-      -0.09059119382398736,
-    ],
-    [
-      -0.09549150281252629, -0.024655800006482202, -0.27131765108757144,
-      -0.13945107072020108,
-    ],
-    [
-      -0.09549150281252629, -0.024655800006482202, 0.01489065571515132,
-      0.3046935136970601,
-    ],
-    [
-      -0.09549150281252629, -0.024655800006482202, 0.06719350585563999,
-      0.29756495372862,
-    ],
-    [
-      -0.09549150281252629, -0.024655800006482202, 0.22410205627710594,
-      -0.20697375990463268,
-    ],
-    [
-      -0.09549150281252629, -0.024655800006482202, 0.2564269953724202,
-      -0.16524244297685903,
-    ],
-    [
-      -0.09549150281252629, -0.005820444841169555, -0.2779769547692963,
-      0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, -0.005820444841169555, -0.19334916553349346,
-      0.23717082451262844,
-    ],
-    [
-      -0.09549150281252629, -0.005820444841169555, -0.10872137629769058,
-      -0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, -0.005820444841169555, 0.028209263078600957,
-      -0.3046935136970601,
-    ],
-    [
-      -0.09549150281252629, -0.005820444841169555, 0.24976769169069535,
-      0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, -0.005820444841169555, 0.302070541831184,
-      0.0488598768962137,
-    ],
-    [
-      -0.09549150281252629, 0.005820444841169555, -0.302070541831184,
-      -0.0488598768962137,
-    ],
-    [
-      -0.09549150281252629, 0.005820444841169555, -0.24976769169069535,
-      -0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, 0.005820444841169555, -0.028209263078600957,
-      0.3046935136970601,
-    ],
-    [
-      -0.09549150281252629, 0.005820444841169555, 0.10872137629769058,
-      0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, 0.005820444841169555, 0.19334916553349346,
-      -0.23717082451262844,
-    ],
-    [
-      -0.09549150281252629, 0.005820444841169555, 0.2779769547692963,
-      -0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, 0.024655800006482202, -0.2564269953724202,
-      0.16524244297685903,
-    ],
-    [
-      -0.09549150281252629, 0.024655800006482202, -0.22410205627710594,
-      0.20697375990463268,
-    ],
-    [
-      -0.09549150281252629, 0.024655800006482202, -0.06719350585563999,
-      -0.29756495372862,
-    ],
-    [
-      -0.09549150281252629, 0.024655800006482202, -0.01489065571515132,
-      -0.3046935136970601,
-    ],
-    [
-      -0.09549150281252629, 0.024655800006482202, 0.27131765108757144,
-      0.13945107072020108,
-    ],
-    [
-      -0.09549150281252629, 0.024655800006482202, 0.291295562132746,
-      0.09059119382398736,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.2995269141661725,
-      -0.03019706460799578,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.23487703597554405,
-      -0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, -0.04564354645876384,
-      0.29756495372862,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.12361203201284189,
-      0.27449644908906423,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.17591488215333057,
-      -0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, 0.05513204485413396, 0.2805205824343079,
-      -0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, 0.10444364486709837, -0.28463625845102114,
-      -0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, 0.10444364486709837, -0.23233340831053245,
-      -0.16964813532819684,
-    ],
-    [
-      -0.09549150281252629, 0.10444364486709837, -0.030752890743612524,
-      0.2860307014088421,
-    ],
-    [
-      -0.09549150281252629, 0.10444364486709837, 0.10617774863267901,
-      0.26736788912062426,
-    ],
-    [
-      -0.09549150281252629, 0.10444364486709837, 0.1784585098183421,
-      -0.2256365721928506,
-    ],
-    [
-      -0.09549150281252629, 0.10444364486709837, 0.26308629905414493,
-      -0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, 0.1349198897147501, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      -0.09549150281252629, 0.1349198897147501, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, 0.1349198897147501, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      -0.09549150281252629, 0.1349198897147501, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      -0.09549150281252629, 0.1349198897147501, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, 0.1349198897147501, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, 0.18423148972771453, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, 0.18423148972771453, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      -0.09549150281252629, 0.18423148972771453, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      -0.09549150281252629, 0.18423148972771453, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      -0.09549150281252629, 0.18423148972771453, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, 0.18423148972771453, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, 0.20306684489302718, -0.21489912493036956,
-      0.07905694150420947,
-    ],
-    [
-      -0.09549150281252629, 0.20306684489302718, -0.13027133569456673,
-      0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, 0.20306684489302718, -0.0979463965992525,
-      -0.20697375990463268,
-    ],
-    [
-      -0.09549150281252629, 0.20306684489302718, 0.03898424277703902,
-      -0.2256365721928506,
-    ],
-    [
-      -0.09549150281252629, 0.20306684489302718, 0.17591488215333057,
-      0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, 0.20306684489302718, 0.2282177322938192,
-      0.018662812288217916,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, -0.19334916553349346,
-      0.041731316927773654,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, -0.10872137629769058,
-      -0.16524244297685903,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, -0.08874346525251611,
-      0.17677669529663687,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, 0.060534202173915155,
-      -0.18831094761641476,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, 0.13281496335957826,
-      0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, 0.23354308974067894, 0.19746484155020672,
-      -0.01153425231977787,
-    ],
-    [
-      -0.09549150281252629, 0.2640193345883307, -0.15182129509144282,
-      0.03019706460799578,
-    ],
-    [
-      -0.09549150281252629, 0.2640193345883307, -0.08717141690081442,
-      -0.12791681840042318,
-    ],
-    [
-      -0.09549150281252629, 0.2640193345883307, -0.06719350585563999,
-      0.13945107072020108,
-    ],
-    [
-      -0.09549150281252629, 0.2640193345883307, 0.049759222475477094,
-      -0.1465796306886411,
-    ],
-    [
-      -0.09549150281252629, 0.2640193345883307, 0.10206207261596575,
-      0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, 0.2640193345883307, 0.15436492275645441,
-      -0.01153425231977787,
-    ],
-    [
-      -0.09549150281252629, 0.28285468975364336, -0.10617774863267901,
-      0.0488598768962137,
-    ],
-    [
-      -0.09549150281252629, 0.28285468975364336, -0.07385280953736481,
-      0.09059119382398736,
-    ],
-    [
-      -0.09549150281252629, 0.28285468975364336, -0.0415278704420506,
-      -0.10925400611220526,
-    ],
-    [
-      -0.09549150281252629, 0.28285468975364336, 0.010774979698438068,
-      -0.11638256608064532,
-    ],
-    [
-      -0.09549150281252629, 0.28285468975364336, 0.09540276893424093,
-      0.0675226891844316,
-    ],
-    [
-      -0.09549150281252629, 0.28285468975364336, 0.1153806799794154,
-      0.018662812288217916,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [
-      -0.08541019662496846, -0.28867513459481287, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      -0.08541019662496846, -0.28867513459481287, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      -0.08541019662496846, -0.28867513459481287, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      -0.08541019662496846, -0.2393635345818485, -0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, -0.2393635345818485, -0.13693063937629152,
-      0.13945107072020108,
-    ],
-    [
-      -0.08541019662496846, -0.2393635345818485, -0.05230285014048866,
-      -0.18831094761641476,
-    ],
-    [-0.08541019662496846, -0.2393635345818485, 0.0, -0.1954395075848548],
-    [
-      -0.08541019662496846, -0.2393635345818485, 0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, -0.2393635345818485, 0.1892334895167802,
-      0.0488598768962137,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      -0.08541019662496846, -0.17841104488654497, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      -0.08541019662496846, -0.17841104488654497, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.17841104488654497, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.17841104488654497, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      -0.08541019662496846, -0.17841104488654497, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [-0.08541019662496846, -0.17841104488654497, 0.25231131935570694, 0.0],
-    [
-      -0.08541019662496846, -0.12909944487358055, -0.2805205824343079,
-      -0.01153425231977787,
-    ],
-    [
-      -0.08541019662496846, -0.12909944487358055, -0.20823982124864476,
-      -0.18831094761641476,
-    ],
-    [
-      -0.08541019662496846, -0.12909944487358055, -0.05896215382221348,
-      0.27449644908906423,
-    ],
-    [
-      -0.08541019662496846, -0.12909944487358055, 0.13027133569456673,
-      0.24870507683240634,
-    ],
-    [
-      -0.08541019662496846, -0.12909944487358055, 0.15024924673974116,
-      -0.23717082451262844,
-    ],
-    [
-      -0.08541019662496846, -0.12909944487358055, 0.2672019750708582,
-      -0.08618550147264953,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      -0.08541019662496846, -0.09862320002592881, -0.291295562132746,
-      0.03019706460799578,
-    ],
-    [
-      -0.08541019662496846, -0.09862320002592881, -0.1866898618517686,
-      -0.2256365721928506,
-    ],
-    [
-      -0.08541019662496846, -0.09862320002592881, -0.10206207261596575,
-      0.27449644908906423,
-    ],
-    [
-      -0.08541019662496846, -0.09862320002592881, 0.11949635599612865,
-      -0.26736788912062426,
-    ],
-    [
-      -0.08541019662496846, -0.09862320002592881, 0.1717992061366173,
-      0.23717082451262844,
-    ],
-    [
-      -0.08541019662496846, -0.09862320002592881, 0.2887519344677344,
-      -0.0488598768962137,
-    ],
-    [
-      -0.08541019662496846, -0.07978784486061616, -0.2979548658144707,
-      -0.018662812288217916,
-    ],
-    [
-      -0.08541019662496846, -0.07978784486061616, -0.22567410462880766,
-      -0.1954395075848548,
-    ],
-    [
-      -0.08541019662496846, -0.07978784486061616, -0.056418526157201915,
-      0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, -0.07978784486061616, 0.13281496335957826,
-      0.26736788912062426,
-    ],
-    [
-      -0.08541019662496846, -0.07978784486061616, 0.16513990245489246,
-      -0.24870507683240634,
-    ],
-    [
-      -0.08541019662496846, -0.07978784486061616, 0.28209263078600955,
-      -0.0977197537924274,
-    ],
-    [-0.08541019662496846, 0.0, -0.30618621784789724, 0.041731316927773654],
-    [-0.08541019662496846, 0.0, -0.1892334895167802, -0.24429938448106847],
-    [-0.08541019662496846, 0.0, -0.11695272833111708, 0.2860307014088421],
-    [-0.08541019662496846, 0.0, 0.11695272833111708, -0.2860307014088421],
-    [-0.08541019662496846, 0.0, 0.1892334895167802, 0.24429938448106847],
-    [-0.08541019662496846, 0.0, 0.30618621784789724, -0.041731316927773654],
-    [
-      -0.08541019662496846, 0.07978784486061616, -0.28209263078600955,
-      0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, 0.07978784486061616, -0.16513990245489246,
-      0.24870507683240634,
-    ],
-    [
-      -0.08541019662496846, 0.07978784486061616, -0.13281496335957826,
-      -0.26736788912062426,
-    ],
-    [
-      -0.08541019662496846, 0.07978784486061616, 0.056418526157201915,
-      -0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, 0.07978784486061616, 0.22567410462880766,
-      0.1954395075848548,
-    ],
-    [
-      -0.08541019662496846, 0.07978784486061616, 0.2979548658144707,
-      0.018662812288217916,
-    ],
-    [
-      -0.08541019662496846, 0.09862320002592881, -0.2887519344677344,
-      0.0488598768962137,
-    ],
-    [
-      -0.08541019662496846, 0.09862320002592881, -0.1717992061366173,
-      -0.23717082451262844,
-    ],
-    [
-      -0.08541019662496846, 0.09862320002592881, -0.11949635599612865,
-      0.26736788912062426,
-    ],
-    [
-      -0.08541019662496846, 0.09862320002592881, 0.10206207261596575,
-      -0.27449644908906423,
-    ],
-    [
-      -0.08541019662496846, 0.09862320002592881, 0.1866898618517686,
-      0.2256365721928506,
-    ],
-    [
-      -0.08541019662496846, 0.09862320002592881, 0.291295562132746,
-      -0.03019706460799578,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      -0.08541019662496846, 0.12909944487358055, -0.2672019750708582,
-      0.08618550147264953,
-    ],
-    [
-      -0.08541019662496846, 0.12909944487358055, -0.15024924673974116,
-      0.23717082451262844,
-    ],
-    [
-      -0.08541019662496846, 0.12909944487358055, -0.13027133569456673,
-      -0.24870507683240634,
-    ],
-    [
-      -0.08541019662496846, 0.12909944487358055, 0.05896215382221348,
-      -0.27449644908906423,
-    ],
-    [
-      -0.08541019662496846, 0.12909944487358055, 0.20823982124864476,
-      0.18831094761641476,
-    ],
-    [
-      -0.08541019662496846, 0.12909944487358055, 0.2805205824343079,
-      0.01153425231977787,
-    ],
-    [-0.08541019662496846, 0.17841104488654497, -0.25231131935570694, 0.0],
-    [
-      -0.08541019662496846, 0.17841104488654497, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      -0.08541019662496846, 0.17841104488654497, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      -0.08541019662496846, 0.17841104488654497, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.17841104488654497, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.17841104488654497, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      -0.08541019662496846, 0.2393635345818485, -0.1892334895167802,
-      -0.0488598768962137,
-    ],
-    [
-      -0.08541019662496846, 0.2393635345818485, -0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [-0.08541019662496846, 0.2393635345818485, 0.0, 0.1954395075848548],
-    [
-      -0.08541019662496846, 0.2393635345818485, 0.05230285014048866,
-      0.18831094761641476,
-    ],
-    [
-      -0.08541019662496846, 0.2393635345818485, 0.13693063937629152,
-      -0.13945107072020108,
-    ],
-    [
-      -0.08541019662496846, 0.2393635345818485, 0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, 0.28867513459481287, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      -0.08541019662496846, 0.28867513459481287, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      -0.08541019662496846, 0.28867513459481287, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, -0.2980928121774692, -0.09383072058253925,
-      0.018662812288217916,
-    ],
-    [
-      -0.06909830056250527, -0.2980928121774692, -0.05387489849219034,
-      -0.07905694150420947,
-    ],
-    [
-      -0.06909830056250527, -0.2980928121774692, -0.0415278704420506,
-      0.08618550147264953,
-    ],
-    [
-      -0.06909830056250527, -0.2980928121774692, 0.030752890743612524,
-      -0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, -0.2980928121774692, 0.06307782983892674,
-      0.07192838153576944,
-    ],
-    [
-      -0.06909830056250527, -0.2980928121774692, 0.09540276893424093,
-      -0.007128559968440045,
-    ],
-    [
-      -0.06909830056250527, -0.27925745701215654, -0.13281496335957826,
-      0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, -0.27925745701215654, -0.0805121132190896,
-      0.11638256608064532,
-    ],
-    [
-      -0.06909830056250527, -0.27925745701215654, -0.060534202173915155,
-      -0.12791681840042318,
-    ],
-    [
-      -0.06909830056250527, -0.27925745701215654, 0.024093587061887703,
-      -0.13945107072020108,
-    ],
-    [
-      -0.06909830056250527, -0.27925745701215654, 0.10872137629769058,
-      0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, -0.27925745701215654, 0.14104631539300477,
-      0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, -0.21830496731685306, -0.2190148009470828,
-      0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, -0.21830496731685306, -0.12203998366114022,
-      -0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, -0.21830496731685306, -0.10206207261596575,
-      0.1998451999361926,
-    ],
-    [
-      -0.06909830056250527, -0.21830496731685306, 0.06719350585563999,
-      -0.2141023198730727,
-    ],
-    [
-      -0.06909830056250527, -0.21830496731685306, 0.15182129509144282,
-      0.16524244297685903,
-    ],
-    [
-      -0.06909830056250527, -0.21830496731685306, 0.22410205627710594,
-      -0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, -0.1878287224692013, -0.24976769169069535,
-      0.018662812288217916,
-    ],
-    [
-      -0.06909830056250527, -0.1878287224692013, -0.16513990245489246,
-      -0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, -0.1878287224692013, -0.0805121132190896,
-      0.23717082451262844,
-    ],
-    [
-      -0.06909830056250527, -0.1878287224692013, 0.10872137629769058,
-      -0.2256365721928506,
-    ],
-    [
-      -0.06909830056250527, -0.1878287224692013, 0.14104631539300477,
-      0.20697375990463268,
-    ],
-    [
-      -0.06909830056250527, -0.1878287224692013, 0.2456520156739821,
-      -0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, -0.16899336730388864, -0.2364490843272457,
-      0.11638256608064532,
-    ],
-    [
-      -0.06909830056250527, -0.16899336730388864, -0.1717992061366173,
-      0.1998451999361926,
-    ],
-    [
-      -0.06909830056250527, -0.16899336730388864, -0.08717141690081442,
-      -0.24870507683240634,
-    ],
-    [
-      -0.06909830056250527, -0.16899336730388864, 0.01743428338016289,
-      -0.26296219676928645,
-    ],
-    [
-      -0.06909830056250527, -0.16899336730388864, 0.2190148009470828,
-      0.1465796306886411,
-    ],
-    [
-      -0.06909830056250527, -0.16899336730388864, 0.2589706230374318,
-      0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, -0.150158012138576, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      -0.06909830056250527, -0.150158012138576, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      -0.06909830056250527, -0.150158012138576, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, -0.150158012138576, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      -0.06909830056250527, -0.150158012138576, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, -0.150158012138576, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      -0.06909830056250527, -0.13851712245623687, -0.2672019750708582,
-      0.08618550147264953,
-    ],
-    [
-      -0.06909830056250527, -0.13851712245623687, -0.15024924673974116,
-      0.23717082451262844,
-    ],
-    [
-      -0.06909830056250527, -0.13851712245623687, -0.13027133569456673,
-      -0.24870507683240634,
-    ],
-    [
-      -0.06909830056250527, -0.13851712245623687, 0.05896215382221348,
-      -0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, -0.13851712245623687, 0.20823982124864476,
-      0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, -0.13851712245623687, 0.2805205824343079,
-      0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, -0.07037016727795983, -0.291295562132746,
-      -0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, -0.07037016727795983, -0.27131765108757144,
-      -0.13945107072020108,
-    ],
-    [
-      -0.06909830056250527, -0.07037016727795983, 0.01489065571515132,
-      0.3046935136970601,
-    ],
-    [
-      -0.06909830056250527, -0.07037016727795983, 0.06719350585563999,
-      0.29756495372862,
-    ],
-    [
-      -0.06909830056250527, -0.07037016727795983, 0.22410205627710594,
-      -0.20697375990463268,
-    ],
-    [
-      -0.06909830056250527, -0.07037016727795983, 0.2564269953724202,
-      -0.16524244297685903,
-    ],
-    [
-      -0.06909830056250527, -0.03989392243030808, -0.302070541831184,
-      0.07192838153576944,
-    ],
-    [
-      -0.06909830056250527, -0.03989392243030808, -0.16513990245489246,
-      -0.26296219676928645,
-    ],
-    [
-      -0.06909830056250527, -0.03989392243030808, -0.14516199140971803,
-      0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, -0.03989392243030808, 0.08874346525251611,
-      -0.29756495372862,
-    ],
-    [
-      -0.06909830056250527, -0.03989392243030808, 0.2133270765786679,
-      0.2256365721928506,
-    ],
-    [
-      -0.06909830056250527, -0.03989392243030808, 0.3103018938646105,
-      -0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, -0.009417677582656322, -0.3128455215296221,
-      -0.007128559968440045,
-    ],
-    [
-      -0.06909830056250527, -0.009417677582656322, -0.2282177322938192,
-      -0.2141023198730727,
-    ],
-    [
-      -0.06909830056250527, -0.009417677582656322, -0.07130918187235323,
-      0.3046935136970601,
-    ],
-    [
-      -0.06909830056250527, -0.009417677582656322, 0.15024924673974116,
-      0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, -0.009417677582656322, 0.16259627478988092,
-      -0.26736788912062426,
-    ],
-    [
-      -0.06909830056250527, -0.009417677582656322, 0.2995269141661725,
-      -0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, 0.009417677582656322, -0.2995269141661725,
-      0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, 0.009417677582656322, -0.16259627478988092,
-      0.26736788912062426,
-    ],
-    [
-      -0.06909830056250527, 0.009417677582656322, -0.15024924673974116,
-      -0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, 0.009417677582656322, 0.07130918187235323,
-      -0.3046935136970601,
-    ],
-    [
-      -0.06909830056250527, 0.009417677582656322, 0.2282177322938192,
-      0.2141023198730727,
-    ],
-    [
-      -0.06909830056250527, 0.009417677582656322, 0.3128455215296221,
-      0.007128559968440045,
-    ],
-    [
-      -0.06909830056250527, 0.03989392243030808, -0.3103018938646105,
-      0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, 0.03989392243030808, -0.2133270765786679,
-      -0.2256365721928506,
-    ],
-    [
-      -0.06909830056250527, 0.03989392243030808, -0.08874346525251611,
-      0.29756495372862,
-    ],
-    [
-      -0.06909830056250527, 0.03989392243030808, 0.14516199140971803,
-      -0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, 0.03989392243030808, 0.16513990245489246,
-      0.26296219676928645,
-    ],
-    [
-      -0.06909830056250527, 0.03989392243030808, 0.302070541831184,
-      -0.07192838153576944,
-    ],
-    [
-      -0.06909830056250527, 0.07037016727795983, -0.2564269953724202,
-      0.16524244297685903,
-    ],
-    [
-      -0.06909830056250527, 0.07037016727795983, -0.22410205627710594,
-      0.20697375990463268,
-    ],
-    [
-      -0.06909830056250527, 0.07037016727795983, -0.06719350585563999,
-      -0.29756495372862,
-    ],
-    [
-      -0.06909830056250527, 0.07037016727795983, -0.01489065571515132,
-      -0.3046935136970601,
-    ],
-    [
-      -0.06909830056250527, 0.07037016727795983, 0.27131765108757144,
-      0.13945107072020108,
-    ],
-    [
-      -0.06909830056250527, 0.07037016727795983, 0.291295562132746,
-      0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, 0.13851712245623687, -0.2805205824343079,
-      -0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, 0.13851712245623687, -0.20823982124864476,
-      -0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, 0.13851712245623687, -0.05896215382221348,
-      0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, 0.13851712245623687, 0.13027133569456673,
-      0.24870507683240634,
-    ],
-    [
-      -0.06909830056250527, 0.13851712245623687, 0.15024924673974116,
-      -0.23717082451262844,
-    ],
-    [
-      -0.06909830056250527, 0.13851712245623687, 0.2672019750708582,
-      -0.08618550147264953,
-    ],
-    [
-      -0.06909830056250527, 0.150158012138576, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      -0.06909830056250527, 0.150158012138576, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, 0.150158012138576, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      -0.06909830056250527, 0.150158012138576, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      -0.06909830056250527, 0.150158012138576, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      -0.06909830056250527, 0.150158012138576, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      -0.06909830056250527, 0.16899336730388864, -0.2589706230374318,
-      -0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, 0.16899336730388864, -0.2190148009470828,
-      -0.1465796306886411,
-    ],
-    [
-      -0.06909830056250527, 0.16899336730388864, -0.01743428338016289,
-      0.26296219676928645,
-    ],
-    [
-      -0.06909830056250527, 0.16899336730388864, 0.08717141690081442,
-      0.24870507683240634,
-    ],
-    [
-      -0.06909830056250527, 0.16899336730388864, 0.1717992061366173,
-      -0.1998451999361926,
-    ],
-    [
-      -0.06909830056250527, 0.16899336730388864, 0.2364490843272457,
-      -0.11638256608064532,
-    ],
-    [
-      -0.06909830056250527, 0.1878287224692013, -0.2456520156739821,
-      0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, 0.1878287224692013, -0.14104631539300477,
-      -0.20697375990463268,
-    ],
-    [
-      -0.06909830056250527, 0.1878287224692013, -0.10872137629769058,
-      0.2256365721928506,
-    ],
-    [
-      -0.06909830056250527, 0.1878287224692013, 0.0805121132190896,
-      -0.23717082451262844,
-    ],
-    [
-      -0.06909830056250527, 0.1878287224692013, 0.16513990245489246,
-      0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, 0.1878287224692013, 0.24976769169069535,
-      -0.018662812288217916,
-    ],
-    [
-      -0.06909830056250527, 0.21830496731685306, -0.22410205627710594,
-      0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, 0.21830496731685306, -0.15182129509144282,
-      -0.16524244297685903,
-    ],
-    [
-      -0.06909830056250527, 0.21830496731685306, -0.06719350585563999,
-      0.2141023198730727,
-    ],
-    [
-      -0.06909830056250527, 0.21830496731685306, 0.10206207261596575,
-      -0.1998451999361926,
-    ],
-    [
-      -0.06909830056250527, 0.21830496731685306, 0.12203998366114022,
-      0.18831094761641476,
-    ],
-    [
-      -0.06909830056250527, 0.21830496731685306, 0.2190148009470828,
-      -0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, 0.27925745701215654, -0.14104631539300477,
-      -0.01153425231977787,
-    ],
-    [
-      -0.06909830056250527, 0.27925745701215654, -0.10872137629769058,
-      -0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, 0.27925745701215654, -0.024093587061887703,
-      0.13945107072020108,
-    ],
-    [
-      -0.06909830056250527, 0.27925745701215654, 0.060534202173915155,
-      0.12791681840042318,
-    ],
-    [
-      -0.06909830056250527, 0.27925745701215654, 0.0805121132190896,
-      -0.11638256608064532,
-    ],
-    [
-      -0.06909830056250527, 0.27925745701215654, 0.13281496335957826,
-      -0.0488598768962137,
-    ],
-    [
-      -0.06909830056250527, 0.2980928121774692, -0.09540276893424093,
-      0.007128559968440045,
-    ],
-    [
-      -0.06909830056250527, 0.2980928121774692, -0.06307782983892674,
-      -0.07192838153576944,
-    ],
-    [
-      -0.06909830056250527, 0.2980928121774692, -0.030752890743612524,
-      0.09059119382398736,
-    ],
-    [
-      -0.06909830056250527, 0.2980928121774692, 0.0415278704420506,
-      -0.08618550147264953,
-    ],
-    [
-      -0.06909830056250527, 0.2980928121774692, 0.05387489849219034,
-      0.07905694150420947,
-    ],
-    [
-      -0.06909830056250527, 0.2980928121774692, 0.09383072058253925,
-      -0.018662812288217916,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [-0.05278640450004206, -0.2581988897471611, -0.18257418583505536, 0.0],
-    [
-      -0.05278640450004206, -0.2581988897471611, -0.13027133569456673,
-      -0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, -0.2581988897471611, -0.04564354645876384,
-      0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, -0.2581988897471611, 0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.2581988897471611, 0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.2581988897471611, 0.17591488215333057,
-      -0.0488598768962137,
-    ],
-    [
-      -0.05278640450004206, -0.20888728973419673, -0.23233340831053245,
-      -0.0488598768962137,
-    ],
-    [
-      -0.05278640450004206, -0.20888728973419673, -0.20000846921521825,
-      -0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, -0.20888728973419673, -0.010774979698438068,
-      0.23717082451262844,
-    ],
-    [
-      -0.05278640450004206, -0.20888728973419673, 0.07385280953736481,
-      0.2256365721928506,
-    ],
-    [
-      -0.05278640450004206, -0.20888728973419673, 0.15848059877316767,
-      -0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, -0.20888728973419673, 0.2107834489136563,
-      -0.10925400611220526,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      -0.05278640450004206, -0.07978784486061616, -0.2779769547692963,
-      0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, -0.07978784486061616, -0.19334916553349346,
-      0.23717082451262844,
-    ],
-    [
-      -0.05278640450004206, -0.07978784486061616, -0.10872137629769058,
-      -0.2860307014088421,
-    ],
-    [
-      -0.05278640450004206, -0.07978784486061616, 0.028209263078600957,
-      -0.3046935136970601,
-    ],
-    [
-      -0.05278640450004206, -0.07978784486061616, 0.24976769169069535,
-      0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, -0.07978784486061616, 0.302070541831184,
-      0.0488598768962137,
-    ],
-    [-0.05278640450004206, 0.0, -0.30618621784789724, -0.07905694150420947],
-    [-0.05278640450004206, 0.0, -0.27386127875258304, -0.15811388300841894],
-    [-0.05278640450004206, 0.0, -0.27386127875258304, 0.15811388300841894],
-    [-0.05278640450004206, 0.0, -0.2215584286120944, 0.2256365721928506],
-    [-0.05278640450004206, 0.0, -0.08462778923580286, -0.3046935136970601],
-    [-0.05278640450004206, 0.0, 0.0, -0.3162277660168379],
-    [-0.05278640450004206, 0.0, 0.0, 0.3162277660168379],
-    [-0.05278640450004206, 0.0, 0.08462778923580286, 0.3046935136970601],
-    [-0.05278640450004206, 0.0, 0.2215584286120944, -0.2256365721928506],
-    [-0.05278640450004206, 0.0, 0.27386127875258304, -0.15811388300841894],
-    [-0.05278640450004206, 0.0, 0.27386127875258304, 0.15811388300841894],
-    [-0.05278640450004206, 0.0, 0.30618621784789724, 0.07905694150420947],
-    [
-      -0.05278640450004206, 0.07978784486061616, -0.302070541831184,
-      -0.0488598768962137,
-    ],
-    [
-      -0.05278640450004206, 0.07978784486061616, -0.24976769169069535,
-      -0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, 0.07978784486061616, -0.028209263078600957,
-      0.3046935136970601,
-    ],
-    [
-      -0.05278640450004206, 0.07978784486061616, 0.10872137629769058,
-      0.2860307014088421,
-    ],
-    [
-      -0.05278640450004206, 0.07978784486061616, 0.19334916553349346,
-      -0.23717082451262844,
-    ],
-    [
-      -0.05278640450004206, 0.07978784486061616, 0.2779769547692963,
-      -0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, 0.20888728973419673, -0.2107834489136563,
-      0.10925400611220526,
-    ],
-    [
-      -0.05278640450004206, 0.20888728973419673, -0.15848059877316767,
-      0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, 0.20888728973419673, -0.07385280953736481,
-      -0.2256365721928506,
-    ],
-    [
-      -0.05278640450004206, 0.20888728973419673, 0.010774979698438068,
-      -0.23717082451262844,
-    ],
-    [
-      -0.05278640450004206, 0.20888728973419673, 0.20000846921521825,
-      0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, 0.20888728973419673, 0.23233340831053245,
-      0.0488598768962137,
-    ],
-    [
-      -0.05278640450004206, 0.2581988897471611, -0.17591488215333057,
-      0.0488598768962137,
-    ],
-    [
-      -0.05278640450004206, 0.2581988897471611, -0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, 0.2581988897471611, -0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, 0.2581988897471611, 0.04564354645876384,
-      -0.17677669529663687,
-    ],
-    [
-      -0.05278640450004206, 0.2581988897471611, 0.13027133569456673,
-      0.12791681840042318,
-    ],
-    [-0.05278640450004206, 0.2581988897471611, 0.18257418583505536, 0.0],
-    [
-      -0.05278640450004206, 0.28867513459481287, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      -0.05278640450004206, 0.28867513459481287, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      -0.05278640450004206, 0.28867513459481287, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, -0.31333093460129513, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, -0.31333093460129513, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, -0.31333093460129513, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, -0.31333093460129513, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, -0.31333093460129513, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, -0.31333093460129513, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, -0.2640193345883307, -0.15436492275645441,
-      0.08618550147264953,
-    ],
-    [
-      -0.04270509831248423, -0.2640193345883307, -0.12203998366114022,
-      0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, -0.2640193345883307, -0.049759222475477094,
-      -0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, -0.2640193345883307, 0.002543627665011569,
-      -0.17677669529663687,
-    ],
-    [
-      -0.04270509831248423, -0.2640193345883307, 0.15182129509144282,
-      0.09059119382398736,
-    ],
-    [
-      -0.04270509831248423, -0.2640193345883307, 0.1717992061366173,
-      0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, -0.23354308974067894, -0.19746484155020672,
-      0.08618550147264953,
-    ],
-    [
-      -0.04270509831248423, -0.23354308974067894, -0.13281496335957826,
-      0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, -0.23354308974067894, -0.0805121132190896,
-      -0.1998451999361926,
-    ],
-    [
-      -0.04270509831248423, -0.23354308974067894, 0.024093587061887703,
-      -0.2141023198730727,
-    ],
-    [
-      -0.04270509831248423, -0.23354308974067894, 0.17337125448831897,
-      0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, -0.23354308974067894, 0.2133270765786679,
-      0.03019706460799578,
-    ],
-    [
-      -0.04270509831248423, -0.20306684489302718, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, -0.20306684489302718, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, -0.20306684489302718, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, -0.20306684489302718, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, -0.20306684489302718, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      -0.04270509831248423, -0.20306684489302718, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      -0.04270509831248423, -0.15375524488006276, -0.2779769547692963,
-      0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, -0.15375524488006276, -0.19334916553349346,
-      -0.1998451999361926,
-    ],
-    [
-      -0.04270509831248423, -0.15375524488006276, -0.07639643720237638,
-      0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, -0.15375524488006276, 0.13281496335957826,
-      -0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, -0.15375524488006276, 0.14516199140971803,
-      0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, -0.15375524488006276, 0.2697456027358698,
-      -0.0675226891844316,
-    ],
-    [
-      -0.04270509831248423, -0.1349198897147501, -0.28463625845102114,
-      -0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, -0.1349198897147501, -0.23233340831053245,
-      -0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, -0.1349198897147501, -0.030752890743612524,
-      0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, -0.1349198897147501, 0.10617774863267901,
-      0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, -0.1349198897147501, 0.1784585098183421,
-      -0.2256365721928506,
-    ],
-    [
-      -0.04270509831248423, -0.1349198897147501, 0.26308629905414493,
-      -0.11638256608064532,
-    ],
-    [
-      -0.04270509831248423, -0.12327900003241102, -0.2887519344677344,
-      0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, -0.12327900003241102, -0.1717992061366173,
-      -0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, -0.12327900003241102, -0.11949635599612865,
-      0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, -0.12327900003241102, 0.10206207261596575,
-      -0.27449644908906423,
-    ],
-    [
-      -0.04270509831248423, -0.12327900003241102, 0.1866898618517686,
-      0.2256365721928506,
-    ],
-    [
-      -0.04270509831248423, -0.12327900003241102, 0.291295562132746,
-      -0.03019706460799578,
-    ],
-    [
-      -0.04270509831248423, -0.08560828970178572, -0.302070541831184,
-      -0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, -0.08560828970178572, -0.24976769169069535,
-      -0.17677669529663687,
-    ],
-    [
-      -0.04270509831248423, -0.08560828970178572, -0.028209263078600957,
-      0.3046935136970601,
-    ],
-    [
-      -0.04270509831248423, -0.08560828970178572, 0.10872137629769058,
-      0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, -0.08560828970178572, 0.19334916553349346,
-      -0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, -0.08560828970178572, 0.2779769547692963,
-      -0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, -0.0739674000194466, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, -0.0739674000194466, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, -0.0739674000194466, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, -0.0739674000194466, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, -0.0739674000194466, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, -0.0739674000194466, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, -0.05513204485413396, -0.3128455215296221,
-      -0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, -0.05513204485413396, -0.2282177322938192,
-      -0.2141023198730727,
-    ],
-    [
-      -0.04270509831248423, -0.05513204485413396, -0.07130918187235323,
-      0.3046935136970601,
-    ],
-    [
-      -0.04270509831248423, -0.05513204485413396, 0.15024924673974116,
-      0.27449644908906423,
-    ],
-    [
-      -0.04270509831248423, -0.05513204485413396, 0.16259627478988092,
-      -0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, -0.05513204485413396, 0.2995269141661725,
-      -0.09059119382398736,
-    ],
-    [
-      -0.04270509831248423, 0.05513204485413396, -0.2995269141661725,
-      0.09059119382398736,
-    ],
-    [
-      -0.04270509831248423, 0.05513204485413396, -0.16259627478988092,
-      0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, 0.05513204485413396, -0.15024924673974116,
-      -0.27449644908906423,
-    ],
-    [
-      -0.04270509831248423, 0.05513204485413396, 0.07130918187235323,
-      -0.3046935136970601,
-    ],
-    [
-      -0.04270509831248423, 0.05513204485413396, 0.2282177322938192,
-      0.2141023198730727,
-    ],
-    [
-      -0.04270509831248423, 0.05513204485413396, 0.3128455215296221,
-      0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, 0.0739674000194466, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, 0.0739674000194466, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, 0.0739674000194466, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, 0.0739674000194466, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, 0.0739674000194466, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, 0.0739674000194466, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, 0.08560828970178572, -0.2779769547692963,
-      0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, 0.08560828970178572, -0.19334916553349346,
-      0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, 0.08560828970178572, -0.10872137629769058,
-      -0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, 0.08560828970178572, 0.028209263078600957,
-      -0.3046935136970601,
-    ],
-    [
-      -0.04270509831248423, 0.08560828970178572, 0.24976769169069535,
-      0.17677669529663687,
-    ],
-    [
-      -0.04270509831248423, 0.08560828970178572, 0.302070541831184,
-      0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, 0.12327900003241102, -0.291295562132746,
-      0.03019706460799578,
-    ],
-    [
-      -0.04270509831248423, 0.12327900003241102, -0.1866898618517686,
-      -0.2256365721928506,
-    ],
-    [
-      -0.04270509831248423, 0.12327900003241102, -0.10206207261596575,
-      0.27449644908906423,
-    ],
-    [
-      -0.04270509831248423, 0.12327900003241102, 0.11949635599612865,
-      -0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, 0.12327900003241102, 0.1717992061366173,
-      0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, 0.12327900003241102, 0.2887519344677344,
-      -0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, 0.1349198897147501, -0.26308629905414493,
-      0.11638256608064532,
-    ],
-    [
-      -0.04270509831248423, 0.1349198897147501, -0.1784585098183421,
-      0.2256365721928506,
-    ],
-    [
-      -0.04270509831248423, 0.1349198897147501, -0.10617774863267901,
-      -0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, 0.1349198897147501, 0.030752890743612524,
-      -0.2860307014088421,
-    ],
-    [
-      -0.04270509831248423, 0.1349198897147501, 0.23233340831053245,
-      0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, 0.1349198897147501, 0.28463625845102114,
-      0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, 0.15375524488006276, -0.2697456027358698,
-      0.0675226891844316,
-    ],
-    [
-      -0.04270509831248423, 0.15375524488006276, -0.14516199140971803,
-      -0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, 0.15375524488006276, -0.13281496335957826,
-      0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, 0.15375524488006276, 0.07639643720237638,
-      -0.26736788912062426,
-    ],
-    [
-      -0.04270509831248423, 0.15375524488006276, 0.19334916553349346,
-      0.1998451999361926,
-    ],
-    [
-      -0.04270509831248423, 0.15375524488006276, 0.2779769547692963,
-      -0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, 0.20306684489302718, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      -0.04270509831248423, 0.20306684489302718, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      -0.04270509831248423, 0.20306684489302718, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      -0.04270509831248423, 0.20306684489302718, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      -0.04270509831248423, 0.20306684489302718, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, 0.20306684489302718, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, 0.23354308974067894, -0.2133270765786679,
-      -0.03019706460799578,
-    ],
-    [
-      -0.04270509831248423, 0.23354308974067894, -0.17337125448831897,
-      -0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, 0.23354308974067894, -0.024093587061887703,
-      0.2141023198730727,
-    ],
-    [
-      -0.04270509831248423, 0.23354308974067894, 0.0805121132190896,
-      0.1998451999361926,
-    ],
-    [
-      -0.04270509831248423, 0.23354308974067894, 0.13281496335957826,
-      -0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, 0.23354308974067894, 0.19746484155020672,
-      -0.08618550147264953,
-    ],
-    [
-      -0.04270509831248423, 0.2640193345883307, -0.1717992061366173,
-      -0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, 0.2640193345883307, -0.15182129509144282,
-      -0.09059119382398736,
-    ],
-    [
-      -0.04270509831248423, 0.2640193345883307, -0.002543627665011569,
-      0.17677669529663687,
-    ],
-    [
-      -0.04270509831248423, 0.2640193345883307, 0.049759222475477094,
-      0.16964813532819684,
-    ],
-    [
-      -0.04270509831248423, 0.2640193345883307, 0.12203998366114022,
-      -0.12791681840042318,
-    ],
-    [
-      -0.04270509831248423, 0.2640193345883307, 0.15436492275645441,
-      -0.08618550147264953,
-    ],
-    [
-      -0.04270509831248423, 0.31333093460129513, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      -0.04270509831248423, 0.31333093460129513, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, 0.31333093460129513, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, 0.31333093460129513, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      -0.04270509831248423, 0.31333093460129513, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      -0.04270509831248423, 0.31333093460129513, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      -0.02639320225002103, -0.3039132570186388, -0.0979463965992525,
-      -0.01153425231977787,
-    ],
-    [
-      -0.02639320225002103, -0.3039132570186388, -0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.02639320225002103, -0.3039132570186388, -0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.02639320225002103, -0.3039132570186388, 0.03898424277703902,
-      0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, -0.3039132570186388, 0.05896215382221348,
-      -0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, -0.3039132570186388, 0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, -0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, -0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, -0.14104631539300477,
-      -0.08618550147264953,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, -0.08874346525251611,
-      -0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, -0.07639643720237638,
-      0.1465796306886411,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, -0.004115676016713249,
-      0.16524244297685903,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, 0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, 0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, 0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, 0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, 0.14516199140971803,
-      -0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, -0.27343701217098704, 0.16513990245489246,
-      -0.007128559968440045,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, -0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, -0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, -0.1717992061366173,
-      -0.11638256608064532,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, -0.11949635599612865,
-      -0.16964813532819684,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, -0.08717141690081442,
-      0.18831094761641476,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, -0.01489065571515132,
-      0.20697375990463268,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, 0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, 0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, 0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, 0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, 0.1866898618517686,
-      -0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, -0.24296076732333527, 0.2066677728969431,
-      -0.018662812288217916,
-    ],
-    [
-      -0.02639320225002103, -0.22412541215802262, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      -0.02639320225002103, -0.22412541215802262, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, -0.22412541215802262, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, -0.19364916731037085, -0.2538833677074086,
-      -0.01153425231977787,
-    ],
-    [
-      -0.02639320225002103, -0.19364916731037085, -0.1892334895167802,
-      -0.16964813532819684,
-    ],
-    [
-      -0.02639320225002103, -0.19364916731037085, -0.05230285014048866,
-      0.24870507683240634,
-    ],
-    [
-      -0.02639320225002103, -0.19364916731037085, 0.11695272833111708,
-      0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, -0.19364916731037085, 0.13693063937629152,
-      -0.2141023198730727,
-    ],
-    [
-      -0.02639320225002103, -0.19364916731037085, 0.24153633965726884,
-      -0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, -0.1748138121450582, -0.26054267138913345,
-      -0.06039412921599156,
-    ],
-    [
-      -0.02639320225002103, -0.1748138121450582, -0.2282177322938192,
-      -0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, -0.1748138121450582, -0.006659303681724819,
-      0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, -0.1748138121450582, 0.07796848555407804,
-      0.25583363680084636,
-    ],
-    [
-      -0.02639320225002103, -0.1748138121450582, 0.18257418583505536,
-      -0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, -0.1748138121450582, 0.23487703597554405,
-      -0.12791681840042318,
-    ],
-    [
-      -0.02639320225002103, -0.16317292246271908, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      -0.02639320225002103, -0.16317292246271908, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      -0.02639320225002103, -0.16317292246271908, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, -0.16317292246271908, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      -0.02639320225002103, -0.16317292246271908, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      -0.02639320225002103, -0.16317292246271908, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, -0.11386132244975469, -0.28209263078600955,
-      0.0977197537924274,
-    ],
-    [
-      -0.02639320225002103, -0.11386132244975469, -0.16513990245489246,
-      0.24870507683240634,
-    ],
-    [
-      -0.02639320225002103, -0.11386132244975469, -0.13281496335957826,
-      -0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, -0.11386132244975469, 0.056418526157201915,
-      -0.2931592613772822,
-    ],
-    [
-      -0.02639320225002103, -0.11386132244975469, 0.22567410462880766,
-      0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, -0.11386132244975469, 0.2979548658144707,
-      0.018662812288217916,
-    ],
-    [
-      -0.02639320225002103, -0.09502596728444204, -0.2564269953724202,
-      0.16524244297685903,
-    ],
-    [
-      -0.02639320225002103, -0.09502596728444204, -0.22410205627710594,
-      0.20697375990463268,
-    ],
-    [
-      -0.02639320225002103, -0.09502596728444204, -0.06719350585563999,
-      -0.29756495372862,
-    ],
-    [
-      -0.02639320225002103, -0.09502596728444204, -0.01489065571515132,
-      -0.3046935136970601,
-    ],
-    [
-      -0.02639320225002103, -0.09502596728444204, 0.27131765108757144,
-      0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, -0.09502596728444204, 0.291295562132746,
-      0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, -0.06454972243679027, -0.2995269141661725,
-      0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, -0.06454972243679027, -0.16259627478988092,
-      0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, -0.06454972243679027, -0.15024924673974116,
-      -0.27449644908906423,
-    ],
-    [
-      -0.02639320225002103, -0.06454972243679027, 0.07130918187235323,
-      -0.3046935136970601,
-    ],
-    [
-      -0.02639320225002103, -0.06454972243679027, 0.2282177322938192,
-      0.2141023198730727,
-    ],
-    [
-      -0.02639320225002103, -0.06454972243679027, 0.3128455215296221,
-      0.007128559968440045,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, -0.30618621784789724,
-      -0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, -0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, -0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, -0.2215584286120944,
-      0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, -0.08462778923580286,
-      -0.3046935136970601,
-    ],
-    [-0.02639320225002103, -0.04571436727147764, 0.0, -0.3162277660168379],
-    [-0.02639320225002103, -0.04571436727147764, 0.0, 0.3162277660168379],
-    [
-      -0.02639320225002103, -0.04571436727147764, 0.08462778923580286,
-      0.3046935136970601,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, 0.2215584286120944,
-      -0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, 0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, 0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, -0.04571436727147764, 0.30618621784789724,
-      0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, -0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, -0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, -0.015238122423825877, 0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, -0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, 0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, 0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, 0.015238122423825877, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, -0.30618621784789724,
-      -0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, -0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, -0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, -0.2215584286120944,
-      0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, -0.08462778923580286,
-      -0.3046935136970601,
-    ],
-    [-0.02639320225002103, 0.04571436727147764, 0.0, -0.3162277660168379],
-    [-0.02639320225002103, 0.04571436727147764, 0.0, 0.3162277660168379],
-    [
-      -0.02639320225002103, 0.04571436727147764, 0.08462778923580286,
-      0.3046935136970601,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, 0.2215584286120944,
-      -0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, 0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, 0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.04571436727147764, 0.30618621784789724,
-      0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, 0.06454972243679027, -0.3128455215296221,
-      -0.007128559968440045,
-    ],
-    [
-      -0.02639320225002103, 0.06454972243679027, -0.2282177322938192,
-      -0.2141023198730727,
-    ],
-    [
-      -0.02639320225002103, 0.06454972243679027, -0.07130918187235323,
-      0.3046935136970601,
-    ],
-    [
-      -0.02639320225002103, 0.06454972243679027, 0.15024924673974116,
-      0.27449644908906423,
-    ],
-    [
-      -0.02639320225002103, 0.06454972243679027, 0.16259627478988092,
-      -0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, 0.06454972243679027, 0.2995269141661725,
-      -0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, 0.09502596728444204, -0.291295562132746,
-      -0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, 0.09502596728444204, -0.27131765108757144,
-      -0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, 0.09502596728444204, 0.01489065571515132,
-      0.3046935136970601,
-    ],
-    [
-      -0.02639320225002103, 0.09502596728444204, 0.06719350585563999,
-      0.29756495372862,
-    ],
-    [
-      -0.02639320225002103, 0.09502596728444204, 0.22410205627710594,
-      -0.20697375990463268,
-    ],
-    [
-      -0.02639320225002103, 0.09502596728444204, 0.2564269953724202,
-      -0.16524244297685903,
-    ],
-    [
-      -0.02639320225002103, 0.11386132244975469, -0.2979548658144707,
-      -0.018662812288217916,
-    ],
-    [
-      -0.02639320225002103, 0.11386132244975469, -0.22567410462880766,
-      -0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, 0.11386132244975469, -0.056418526157201915,
-      0.2931592613772822,
-    ],
-    [
-      -0.02639320225002103, 0.11386132244975469, 0.13281496335957826,
-      0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, 0.11386132244975469, 0.16513990245489246,
-      -0.24870507683240634,
-    ],
-    [
-      -0.02639320225002103, 0.11386132244975469, 0.28209263078600955,
-      -0.0977197537924274,
-    ],
-    [
-      -0.02639320225002103, 0.16317292246271908, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, 0.16317292246271908, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      -0.02639320225002103, 0.16317292246271908, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      -0.02639320225002103, 0.16317292246271908, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, 0.16317292246271908, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      -0.02639320225002103, 0.16317292246271908, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      -0.02639320225002103, 0.1748138121450582, -0.23487703597554405,
-      0.12791681840042318,
-    ],
-    [
-      -0.02639320225002103, 0.1748138121450582, -0.18257418583505536,
-      0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, 0.1748138121450582, -0.07796848555407804,
-      -0.25583363680084636,
-    ],
-    [
-      -0.02639320225002103, 0.1748138121450582, 0.006659303681724819,
-      -0.26736788912062426,
-    ],
-    [
-      -0.02639320225002103, 0.1748138121450582, 0.2282177322938192,
-      0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, 0.1748138121450582, 0.26054267138913345,
-      0.06039412921599156,
-    ],
-    [
-      -0.02639320225002103, 0.19364916731037085, -0.24153633965726884,
-      0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, 0.19364916731037085, -0.13693063937629152,
-      0.2141023198730727,
-    ],
-    [
-      -0.02639320225002103, 0.19364916731037085, -0.11695272833111708,
-      -0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, 0.19364916731037085, 0.05230285014048866,
-      -0.24870507683240634,
-    ],
-    [
-      -0.02639320225002103, 0.19364916731037085, 0.1892334895167802,
-      0.16964813532819684,
-    ],
-    [
-      -0.02639320225002103, 0.19364916731037085, 0.2538833677074086,
-      0.01153425231977787,
-    ],
-    [
-      -0.02639320225002103, 0.22412541215802262, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, 0.22412541215802262, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      -0.02639320225002103, 0.22412541215802262, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, -0.2066677728969431,
-      0.018662812288217916,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, -0.1866898618517686,
-      0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, -0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, -0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, -0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, -0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, 0.01489065571515132,
-      -0.20697375990463268,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, 0.08717141690081442,
-      -0.18831094761641476,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, 0.11949635599612865,
-      0.16964813532819684,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, 0.1717992061366173,
-      0.11638256608064532,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, 0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, 0.24296076732333527, 0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, -0.16513990245489246,
-      0.007128559968440045,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, -0.14516199140971803,
-      0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, -0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, -0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, -0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, -0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, 0.004115676016713249,
-      -0.16524244297685903,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, 0.07639643720237638,
-      -0.1465796306886411,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, 0.08874346525251611,
-      0.13945107072020108,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, 0.14104631539300477,
-      0.08618550147264953,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, 0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, 0.27343701217098704, 0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, 0.3039132570186388, -0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.02639320225002103, 0.3039132570186388, -0.05896215382221348,
-      0.07905694150420947,
-    ],
-    [
-      -0.02639320225002103, 0.3039132570186388, -0.03898424277703902,
-      -0.09059119382398736,
-    ],
-    [
-      -0.02639320225002103, 0.3039132570186388, 0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.02639320225002103, 0.3039132570186388, 0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.02639320225002103, 0.3039132570186388, 0.0979463965992525,
-      0.01153425231977787,
-    ],
-    [0.0, -0.31915137944246463, -0.024093587061887703, 0.018662812288217916],
-    [0.0, -0.31915137944246463, -0.004115676016713249, -0.03019706460799578],
-    [0.0, -0.31915137944246463, 0.028209263078600957, 0.01153425231977787],
-    [0.0, -0.28867513459481287, -0.1394742670413031, 0.0],
-    [0.0, -0.28867513459481287, -0.09951844495095419, -0.0977197537924274],
-    [0.0, -0.28867513459481287, -0.03486856676032578, 0.1350453783688632],
-    [0.0, -0.28867513459481287, 0.06973713352065156, -0.12078825843198313],
-    [0.0, -0.28867513459481287, 0.06973713352065156, 0.12078825843198313],
-    [0.0, -0.28867513459481287, 0.13438701171127998, -0.03732562457643583],
-    [0.0, -0.2581988897471611, -0.15024924673974116, 0.11638256608064532],
-    [0.0, -0.2581988897471611, -0.025665635413589384, -0.18831094761641476],
-    [0.0, -0.2581988897471611, 0.17591488215333057, 0.07192838153576944],
-    [0.0, -0.22772264489950939, -0.22567410462880766, 0.0],
-    [0.0, -0.22772264489950939, -0.19334916553349346, 0.11638256608064532],
-    [0.0, -0.22772264489950939, -0.1610242264381792, -0.15811388300841894],
-    [0.0, -0.22772264489950939, -0.1610242264381792, 0.15811388300841894],
-    [0.0, -0.22772264489950939, -0.056418526157201915, -0.21850801222441052],
-    [0.0, -0.22772264489950939, -0.056418526157201915, 0.21850801222441052],
-    [0.0, -0.22772264489950939, -0.004115676016713249, -0.2256365721928506],
-    [0.0, -0.22772264489950939, 0.11283705231440383, -0.1954395075848548],
-    [0.0, -0.22772264489950939, 0.11283705231440383, 0.1954395075848548],
-    [0.0, -0.22772264489950939, 0.19746484155020672, 0.10925400611220526],
-    [0.0, -0.22772264489950939, 0.21744275259538115, -0.06039412921599156],
-    [0.0, -0.22772264489950939, 0.21744275259538115, 0.06039412921599156],
-    [0.0, -0.19005193456888408, -0.2389927119922573, -0.0977197537924274],
-    [0.0, -0.19005193456888408, 0.03486856676032578, 0.25583363680084636],
-    [0.0, -0.19005193456888408, 0.2041241452319315, -0.15811388300841894],
-    [0.0, -0.12909944487358055, -0.29286761048444765, 0.018662812288217916],
-    [0.0, -0.12909944487358055, -0.26054267138913345, 0.1350453783688632],
-    [0.0, -0.12909944487358055, -0.195892793198505, -0.21850801222441052],
-    [0.0, -0.12909944487358055, -0.195892793198505, 0.21850801222441052],
-    [0.0, -0.12909944487358055, -0.09128709291752768, -0.27890214144040215],
-    [0.0, -0.12909944487358055, -0.09128709291752768, 0.27890214144040215],
-    [0.0, -0.12909944487358055, 0.013318607363449638, -0.2931592613772822],
-    [0.0, -0.12909944487358055, 0.13027133569456673, -0.26296219676928645],
-    [0.0, -0.12909944487358055, 0.16259627478988092, 0.24429938448106847],
-    [0.0, -0.12909944487358055, 0.24722406402568378, 0.15811388300841894],
-    [0.0, -0.12909944487358055, 0.28717988611603273, -0.06039412921599156],
-    [0.0, -0.12909944487358055, 0.28717988611603273, 0.06039412921599156],
-    [0.0, -0.11026408970826793, -0.2995269141661725, -0.03019706460799578],
-    [0.0, -0.11026408970826793, -0.23487703597554405, -0.18831094761641476],
-    [0.0, -0.11026408970826793, -0.04564354645876384, 0.29756495372862],
-    [0.0, -0.11026408970826793, 0.12361203201284189, 0.27449644908906423],
-    [0.0, -0.11026408970826793, 0.17591488215333057, -0.24429938448106847],
-    [0.0, -0.11026408970826793, 0.2805205824343079, -0.10925400611220526],
-    [0.0, -0.07978784486061616, -0.3103018938646105, 0.01153425231977787],
-    [0.0, -0.07978784486061616, -0.2133270765786679, -0.2256365721928506],
-    [0.0, -0.07978784486061616, -0.08874346525251611, 0.29756495372862],
-    [0.0, -0.07978784486061616, 0.14516199140971803, -0.27449644908906423],
-    [0.0, -0.07978784486061616, 0.16513990245489246, 0.26296219676928645],
-    [0.0, -0.07978784486061616, 0.302070541831184, -0.07192838153576944],
-    [0.0, -0.030476244847651754, -0.29541123814945924, -0.12078825843198313],
-    [0.0, -0.030476244847651754, -0.29541123814945924, 0.12078825843198313],
-    [0.0, -0.030476244847651754, -0.19080553786848187, 0.25583363680084636],
-    [0.0, -0.030476244847651754, -0.12615565967785347, -0.2931592613772822],
-    [0.0, -0.030476244847651754, 0.04309991879375227, -0.3162277660168379],
-    [0.0, -0.030476244847651754, 0.04309991879375227, 0.3162277660168379],
-    [0.0, -0.030476244847651754, 0.25231131935570694, -0.1954395075848548],
-    [0.0, -0.030476244847651754, 0.25231131935570694, 0.1954395075848548],
-    [0.0, -0.030476244847651754, 0.31696119754633534, 0.03732562457643583],
-    [0.0, 0.030476244847651754, -0.31696119754633534, -0.03732562457643583],
-    [0.0, 0.030476244847651754, -0.25231131935570694, -0.1954395075848548],
-    [0.0, 0.030476244847651754, -0.25231131935570694, 0.1954395075848548],
-    [0.0, 0.030476244847651754, -0.04309991879375227, -0.3162277660168379],
-    [0.0, 0.030476244847651754, -0.04309991879375227, 0.3162277660168379],
-    [0.0, 0.030476244847651754, 0.12615565967785347, 0.2931592613772822],
-    [0.0, 0.030476244847651754, 0.19080553786848187, -0.25583363680084636],
-    [0.0, 0.030476244847651754, 0.29541123814945924, -0.12078825843198313],
-    [0.0, 0.030476244847651754, 0.29541123814945924, 0.12078825843198313],
-    [0.0, 0.07978784486061616, -0.302070541831184, 0.07192838153576944],
-    [0.0, 0.07978784486061616, -0.16513990245489246, -0.26296219676928645],
-    [0.0, 0.07978784486061616, -0.14516199140971803, 0.27449644908906423],
-    [0.0, 0.07978784486061616, 0.08874346525251611, -0.29756495372862],
-    [0.0, 0.07978784486061616, 0.2133270765786679, 0.2256365721928506],
-    [0.0, 0.07978784486061616, 0.3103018938646105, -0.01153425231977787],
-    [0.0, 0.11026408970826793, -0.2805205824343079, 0.10925400611220526],
-    [0.0, 0.11026408970826793, -0.17591488215333057, 0.24429938448106847],
-    [0.0, 0.11026408970826793, -0.12361203201284189, -0.27449644908906423],
-    [0.0, 0.11026408970826793, 0.04564354645876384, -0.29756495372862],
-    [0.0, 0.11026408970826793, 0.23487703597554405, 0.18831094761641476],
-    [0.0, 0.11026408970826793, 0.2995269141661725, 0.03019706460799578],
-    [0.0, 0.12909944487358055, -0.28717988611603273, -0.06039412921599156],
-    [0.0, 0.12909944487358055, -0.28717988611603273, 0.06039412921599156],
-    [0.0, 0.12909944487358055, -0.24722406402568378, -0.15811388300841894],
-    [0.0, 0.12909944487358055, -0.16259627478988092, -0.24429938448106847],
-    [0.0, 0.12909944487358055, -0.13027133569456673, 0.26296219676928645],
-    [0.0, 0.12909944487358055, -0.013318607363449638, 0.2931592613772822],
-    [0.0, 0.12909944487358055, 0.09128709291752768, -0.27890214144040215],
-    [0.0, 0.12909944487358055, 0.09128709291752768, 0.27890214144040215],
-    [0.0, 0.12909944487358055, 0.195892793198505, -0.21850801222441052],
-    [0.0, 0.12909944487358055, 0.195892793198505, 0.21850801222441052],
-    [0.0, 0.12909944487358055, 0.26054267138913345, -0.1350453783688632],
-    [0.0, 0.12909944487358055, 0.29286761048444765, -0.018662812288217916],
-    [0.0, 0.19005193456888408, -0.2041241452319315, 0.15811388300841894],
-    [0.0, 0.19005193456888408, -0.03486856676032578, -0.25583363680084636],
-    [0.0, 0.19005193456888408, 0.2389927119922573, 0.0977197537924274],
-    [0.0, 0.22772264489950939, -0.21744275259538115, -0.06039412921599156],
-    [0.0, 0.22772264489950939, -0.21744275259538115, 0.06039412921599156],
-    [0.0, 0.22772264489950939, -0.19746484155020672, -0.10925400611220526],
-    [0.0, 0.22772264489950939, -0.11283705231440383, -0.1954395075848548],
-    [0.0, 0.22772264489950939, -0.11283705231440383, 0.1954395075848548],
-    [0.0, 0.22772264489950939, 0.004115676016713249, 0.2256365721928506],
-    [0.0, 0.22772264489950939, 0.056418526157201915, -0.21850801222441052],
-    [0.0, 0.22772264489950939, 0.056418526157201915, 0.21850801222441052],
-    [0.0, 0.22772264489950939, 0.1610242264381792, -0.15811388300841894],
-    [0.0, 0.22772264489950939, 0.1610242264381792, 0.15811388300841894],
-    [0.0, 0.22772264489950939, 0.19334916553349346, -0.11638256608064532],
-    [0.0, 0.22772264489950939, 0.22567410462880766, 0.0],
-    [0.0, 0.2581988897471611, -0.17591488215333057, -0.07192838153576944],
-    [0.0, 0.2581988897471611, 0.025665635413589384, 0.18831094761641476],
-    [0.0, 0.2581988897471611, 0.15024924673974116, -0.11638256608064532],
-    [0.0, 0.28867513459481287, -0.13438701171127998, 0.03732562457643583],
-    [0.0, 0.28867513459481287, -0.06973713352065156, -0.12078825843198313],
-    [0.0, 0.28867513459481287, -0.06973713352065156, 0.12078825843198313],
-    [0.0, 0.28867513459481287, 0.03486856676032578, -0.1350453783688632],
-    [0.0, 0.28867513459481287, 0.09951844495095419, 0.0977197537924274],
-    [0.0, 0.28867513459481287, 0.1394742670413031, 0.0],
-    [0.0, 0.31915137944246463, -0.028209263078600957, -0.01153425231977787],
-    [0.0, 0.31915137944246463, 0.004115676016713249, 0.03019706460799578],
-    [0.0, 0.31915137944246463, 0.024093587061887703, -0.018662812288217916],
-    [
-      0.02639320225002103, -0.3039132570186388, -0.0979463965992525,
-      -0.01153425231977787,
-    ],
-    [
-      0.02639320225002103, -0.3039132570186388, -0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.02639320225002103, -0.3039132570186388, -0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.02639320225002103, -0.3039132570186388, 0.03898424277703902,
-      0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, -0.3039132570186388, 0.05896215382221348,
-      -0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, -0.3039132570186388, 0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, -0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, -0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, -0.14104631539300477,
-      -0.08618550147264953,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, -0.08874346525251611,
-      -0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, -0.07639643720237638,
-      0.1465796306886411,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, -0.004115676016713249,
-      0.16524244297685903,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, 0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, 0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, 0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, 0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, 0.14516199140971803,
-      -0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, -0.27343701217098704, 0.16513990245489246,
-      -0.007128559968440045,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, -0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, -0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, -0.1717992061366173,
-      -0.11638256608064532,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, -0.11949635599612865,
-      -0.16964813532819684,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, -0.08717141690081442,
-      0.18831094761641476,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, -0.01489065571515132,
-      0.20697375990463268,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, 0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, 0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, 0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, 0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, 0.1866898618517686,
-      -0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, -0.24296076732333527, 0.2066677728969431,
-      -0.018662812288217916,
-    ],
-    [
-      0.02639320225002103, -0.22412541215802262, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      0.02639320225002103, -0.22412541215802262, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, -0.22412541215802262, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, -0.19364916731037085, -0.2538833677074086,
-      -0.01153425231977787,
-    ],
-    [
-      0.02639320225002103, -0.19364916731037085, -0.1892334895167802,
-      -0.16964813532819684,
-    ],
-    [
-      0.02639320225002103, -0.19364916731037085, -0.05230285014048866,
-      0.24870507683240634,
-    ],
-    [
-      0.02639320225002103, -0.19364916731037085, 0.11695272833111708,
-      0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, -0.19364916731037085, 0.13693063937629152,
-      -0.2141023198730727,
-    ],
-    [
-      0.02639320225002103, -0.19364916731037085, 0.24153633965726884,
-      -0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, -0.1748138121450582, -0.26054267138913345,
-      -0.06039412921599156,
-    ],
-    [
-      0.02639320225002103, -0.1748138121450582, -0.2282177322938192,
-      -0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, -0.1748138121450582, -0.006659303681724819,
-      0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, -0.1748138121450582, 0.07796848555407804,
-      0.25583363680084636,
-    ],
-    [
-      0.02639320225002103, -0.1748138121450582, 0.18257418583505536,
-      -0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, -0.1748138121450582, 0.23487703597554405,
-      -0.12791681840042318,
-    ],
-    [
-      0.02639320225002103, -0.16317292246271908, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      0.02639320225002103, -0.16317292246271908, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      0.02639320225002103, -0.16317292246271908, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, -0.16317292246271908, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      0.02639320225002103, -0.16317292246271908, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      0.02639320225002103, -0.16317292246271908, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, -0.11386132244975469, -0.28209263078600955,
-      0.0977197537924274,
-    ],
-    [
-      0.02639320225002103, -0.11386132244975469, -0.16513990245489246,
-      0.24870507683240634,
-    ],
-    [
-      0.02639320225002103, -0.11386132244975469, -0.13281496335957826,
-      -0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, -0.11386132244975469, 0.056418526157201915,
-      -0.2931592613772822,
-    ],
-    [
-      0.02639320225002103, -0.11386132244975469, 0.22567410462880766,
-      0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, -0.11386132244975469, 0.2979548658144707,
-      0.018662812288217916,
-    ],
-    [
-      0.02639320225002103, -0.09502596728444204, -0.2564269953724202,
-      0.16524244297685903,
-    ],
-    [
-      0.02639320225002103, -0.09502596728444204, -0.22410205627710594,
-      0.20697375990463268,
-    ],
-    [
-      0.02639320225002103, -0.09502596728444204, -0.06719350585563999,
-      -0.29756495372862,
-    ],
-    [
-      0.02639320225002103, -0.09502596728444204, -0.01489065571515132,
-      -0.3046935136970601,
-    ],
-    [
-      0.02639320225002103, -0.09502596728444204, 0.27131765108757144,
-      0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, -0.09502596728444204, 0.291295562132746,
-      0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, -0.06454972243679027, -0.2995269141661725,
-      0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, -0.06454972243679027, -0.16259627478988092,
-      0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, -0.06454972243679027, -0.15024924673974116,
-      -0.27449644908906423,
-    ],
-    [
-      0.02639320225002103, -0.06454972243679027, 0.07130918187235323,
-      -0.3046935136970601,
-    ],
-    [
-      0.02639320225002103, -0.06454972243679027, 0.2282177322938192,
-      0.2141023198730727,
-    ],
-    [
-      0.02639320225002103, -0.06454972243679027, 0.3128455215296221,
-      0.007128559968440045,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, -0.30618621784789724,
-      -0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, -0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, -0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, -0.2215584286120944,
-      0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, -0.08462778923580286,
-      -0.3046935136970601,
-    ],
-    [0.02639320225002103, -0.04571436727147764, 0.0, -0.3162277660168379],
-    [0.02639320225002103, -0.04571436727147764, 0.0, 0.3162277660168379],
-    [
-      0.02639320225002103, -0.04571436727147764, 0.08462778923580286,
-      0.3046935136970601,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, 0.2215584286120944,
-      -0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, 0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, 0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, -0.04571436727147764, 0.30618621784789724,
-      0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, -0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, -0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, -0.015238122423825877, 0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, -0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, 0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, 0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, 0.015238122423825877, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, -0.30618621784789724,
-      -0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, -0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, -0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, -0.2215584286120944,
-      0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, -0.08462778923580286,
-      -0.3046935136970601,
-    ],
-    [0.02639320225002103, 0.04571436727147764, 0.0, -0.3162277660168379],
-    [0.02639320225002103, 0.04571436727147764, 0.0, 0.3162277660168379],
-    [
-      0.02639320225002103, 0.04571436727147764, 0.08462778923580286,
-      0.3046935136970601,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, 0.2215584286120944,
-      -0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, 0.27386127875258304,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, 0.27386127875258304,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.04571436727147764, 0.30618621784789724,
-      0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, 0.06454972243679027, -0.3128455215296221,
-      -0.007128559968440045,
-    ],
-    [
-      0.02639320225002103, 0.06454972243679027, -0.2282177322938192,
-      -0.2141023198730727,
-    ],
-    [
-      0.02639320225002103, 0.06454972243679027, -0.07130918187235323,
-      0.3046935136970601,
-    ],
-    [
-      0.02639320225002103, 0.06454972243679027, 0.15024924673974116,
-      0.27449644908906423,
-    ],
-    [
-      0.02639320225002103, 0.06454972243679027, 0.16259627478988092,
-      -0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, 0.06454972243679027, 0.2995269141661725,
-      -0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, 0.09502596728444204, -0.291295562132746,
-      -0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, 0.09502596728444204, -0.27131765108757144,
-      -0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, 0.09502596728444204, 0.01489065571515132,
-      0.3046935136970601,
-    ],
-    [
-      0.02639320225002103, 0.09502596728444204, 0.06719350585563999,
-      0.29756495372862,
-    ],
-    [
-      0.02639320225002103, 0.09502596728444204, 0.22410205627710594,
-      -0.20697375990463268,
-    ],
-    [
-      0.02639320225002103, 0.09502596728444204, 0.2564269953724202,
-      -0.16524244297685903,
-    ],
-    [
-      0.02639320225002103, 0.11386132244975469, -0.2979548658144707,
-      -0.018662812288217916,
-    ],
-    [
-      0.02639320225002103, 0.11386132244975469, -0.22567410462880766,
-      -0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, 0.11386132244975469, -0.056418526157201915,
-      0.2931592613772822,
-    ],
-    [
-      0.02639320225002103, 0.11386132244975469, 0.13281496335957826,
-      0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, 0.11386132244975469, 0.16513990245489246,
-      -0.24870507683240634,
-    ],
-    [
-      0.02639320225002103, 0.11386132244975469, 0.28209263078600955,
-      -0.0977197537924274,
-    ],
-    [
-      0.02639320225002103, 0.16317292246271908, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, 0.16317292246271908, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      0.02639320225002103, 0.16317292246271908, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      0.02639320225002103, 0.16317292246271908, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, 0.16317292246271908, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      0.02639320225002103, 0.16317292246271908, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      0.02639320225002103, 0.1748138121450582, -0.23487703597554405,
-      0.12791681840042318,
-    ],
-    [
-      0.02639320225002103, 0.1748138121450582, -0.18257418583505536,
-      0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, 0.1748138121450582, -0.07796848555407804,
-      -0.25583363680084636,
-    ],
-    [
-      0.02639320225002103, 0.1748138121450582, 0.006659303681724819,
-      -0.26736788912062426,
-    ],
-    [
-      0.02639320225002103, 0.1748138121450582, 0.2282177322938192,
-      0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, 0.1748138121450582, 0.26054267138913345,
-      0.06039412921599156,
-    ],
-    [
-      0.02639320225002103, 0.19364916731037085, -0.24153633965726884,
-      0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, 0.19364916731037085, -0.13693063937629152,
-      0.2141023198730727,
-    ],
-    [
-      0.02639320225002103, 0.19364916731037085, -0.11695272833111708,
-      -0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, 0.19364916731037085, 0.05230285014048866,
-      -0.24870507683240634,
-    ],
-    [
-      0.02639320225002103, 0.19364916731037085, 0.1892334895167802,
-      0.16964813532819684,
-    ],
-    [
-      0.02639320225002103, 0.19364916731037085, 0.2538833677074086,
-      0.01153425231977787,
-    ],
-    [
-      0.02639320225002103, 0.22412541215802262, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, 0.22412541215802262, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      0.02639320225002103, 0.22412541215802262, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, -0.2066677728969431,
-      0.018662812288217916,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, -0.1866898618517686,
-      0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, -0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, -0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, -0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, -0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, 0.01489065571515132,
-      -0.20697375990463268,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, 0.08717141690081442,
-      -0.18831094761641476,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, 0.11949635599612865,
-      0.16964813532819684,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, 0.1717992061366173,
-      0.11638256608064532,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, 0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, 0.24296076732333527, 0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, -0.16513990245489246,
-      0.007128559968440045,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, -0.14516199140971803,
-      0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, -0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, -0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, -0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, -0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, 0.004115676016713249,
-      -0.16524244297685903,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, 0.07639643720237638,
-      -0.1465796306886411,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, 0.08874346525251611,
-      0.13945107072020108,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, 0.14104631539300477,
-      0.08618550147264953,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, 0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, 0.27343701217098704, 0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, 0.3039132570186388, -0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.02639320225002103, 0.3039132570186388, -0.05896215382221348,
-      0.07905694150420947,
-    ],
-    [
-      0.02639320225002103, 0.3039132570186388, -0.03898424277703902,
-      -0.09059119382398736,
-    ],
-    [
-      0.02639320225002103, 0.3039132570186388, 0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.02639320225002103, 0.3039132570186388, 0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.02639320225002103, 0.3039132570186388, 0.0979463965992525,
-      0.01153425231977787,
-    ],
-    [
-      0.04270509831248423, -0.31333093460129513, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, -0.31333093460129513, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, -0.31333093460129513, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, -0.31333093460129513, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, -0.31333093460129513, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, -0.31333093460129513, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, -0.2640193345883307, -0.15436492275645441,
-      0.08618550147264953,
-    ],
-    [
-      0.04270509831248423, -0.2640193345883307, -0.12203998366114022,
-      0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, -0.2640193345883307, -0.049759222475477094,
-      -0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, -0.2640193345883307, 0.002543627665011569,
-      -0.17677669529663687,
-    ],
-    [
-      0.04270509831248423, -0.2640193345883307, 0.15182129509144282,
-      0.09059119382398736,
-    ],
-    [
-      0.04270509831248423, -0.2640193345883307, 0.1717992061366173,
-      0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, -0.23354308974067894, -0.19746484155020672,
-      0.08618550147264953,
-    ],
-    [
-      0.04270509831248423, -0.23354308974067894, -0.13281496335957826,
-      0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, -0.23354308974067894, -0.0805121132190896,
-      -0.1998451999361926,
-    ],
-    [
-      0.04270509831248423, -0.23354308974067894, 0.024093587061887703,
-      -0.2141023198730727,
-    ],
-    [
-      0.04270509831248423, -0.23354308974067894, 0.17337125448831897,
-      0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, -0.23354308974067894, 0.2133270765786679,
-      0.03019706460799578,
-    ],
-    [
-      0.04270509831248423, -0.20306684489302718, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, -0.20306684489302718, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, -0.20306684489302718, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, -0.20306684489302718, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, -0.20306684489302718, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      0.04270509831248423, -0.20306684489302718, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      0.04270509831248423, -0.15375524488006276, -0.2779769547692963,
-      0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, -0.15375524488006276, -0.19334916553349346,
-      -0.1998451999361926,
-    ],
-    [
-      0.04270509831248423, -0.15375524488006276, -0.07639643720237638,
-      0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, -0.15375524488006276, 0.13281496335957826,
-      -0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, -0.15375524488006276, 0.14516199140971803,
-      0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, -0.15375524488006276, 0.2697456027358698,
-      -0.0675226891844316,
-    ],
-    [
-      0.04270509831248423, -0.1349198897147501, -0.28463625845102114,
-      -0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, -0.1349198897147501, -0.23233340831053245,
-      -0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, -0.1349198897147501, -0.030752890743612524,
-      0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, -0.1349198897147501, 0.10617774863267901,
-      0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, -0.1349198897147501, 0.1784585098183421,
-      -0.2256365721928506,
-    ],
-    [
-      0.04270509831248423, -0.1349198897147501, 0.26308629905414493,
-      -0.11638256608064532,
-    ],
-    [
-      0.04270509831248423, -0.12327900003241102, -0.2887519344677344,
-      0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, -0.12327900003241102, -0.1717992061366173,
-      -0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, -0.12327900003241102, -0.11949635599612865,
-      0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, -0.12327900003241102, 0.10206207261596575,
-      -0.27449644908906423,
-    ],
-    [
-      0.04270509831248423, -0.12327900003241102, 0.1866898618517686,
-      0.2256365721928506,
-    ],
-    [
-      0.04270509831248423, -0.12327900003241102, 0.291295562132746,
-      -0.03019706460799578,
-    ],
-    [
-      0.04270509831248423, -0.08560828970178572, -0.302070541831184,
-      -0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, -0.08560828970178572, -0.24976769169069535,
-      -0.17677669529663687,
-    ],
-    [
-      0.04270509831248423, -0.08560828970178572, -0.028209263078600957,
-      0.3046935136970601,
-    ],
-    [
-      0.04270509831248423, -0.08560828970178572, 0.10872137629769058,
-      0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, -0.08560828970178572, 0.19334916553349346,
-      -0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, -0.08560828970178572, 0.2779769547692963,
-      -0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, -0.0739674000194466, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, -0.0739674000194466, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, -0.0739674000194466, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, -0.0739674000194466, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, -0.0739674000194466, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, -0.0739674000194466, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, -0.05513204485413396, -0.3128455215296221,
-      -0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, -0.05513204485413396, -0.2282177322938192,
-      -0.2141023198730727,
-    ],
-    [
-      0.04270509831248423, -0.05513204485413396, -0.07130918187235323,
-      0.3046935136970601,
-    ],
-    [
-      0.04270509831248423, -0.05513204485413396, 0.15024924673974116,
-      0.27449644908906423,
-    ],
-    [
-      0.04270509831248423, -0.05513204485413396, 0.16259627478988092,
-      -0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, -0.05513204485413396, 0.2995269141661725,
-      -0.09059119382398736,
-    ],
-    [
-      0.04270509831248423, 0.05513204485413396, -0.2995269141661725,
-      0.09059119382398736,
-    ],
-    [
-      0.04270509831248423, 0.05513204485413396, -0.16259627478988092,
-      0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, 0.05513204485413396, -0.15024924673974116,
-      -0.27449644908906423,
-    ],
-    [
-      0.04270509831248423, 0.05513204485413396, 0.07130918187235323,
-      -0.3046935136970601,
-    ],
-    [
-      0.04270509831248423, 0.05513204485413396, 0.2282177322938192,
-      0.2141023198730727,
-    ],
-    [
-      0.04270509831248423, 0.05513204485413396, 0.3128455215296221,
-      0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, 0.0739674000194466, -0.30618621784789724,
-      0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, 0.0739674000194466, -0.1892334895167802,
-      -0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, 0.0739674000194466, -0.11695272833111708,
-      0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, 0.0739674000194466, 0.11695272833111708,
-      -0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, 0.0739674000194466, 0.1892334895167802,
-      0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, 0.0739674000194466, 0.30618621784789724,
-      -0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, 0.08560828970178572, -0.2779769547692963,
-      0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, 0.08560828970178572, -0.19334916553349346,
-      0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, 0.08560828970178572, -0.10872137629769058,
-      -0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, 0.08560828970178572, 0.028209263078600957,
-      -0.3046935136970601,
-    ],
-    [
-      0.04270509831248423, 0.08560828970178572, 0.24976769169069535,
-      0.17677669529663687,
-    ],
-    [
-      0.04270509831248423, 0.08560828970178572, 0.302070541831184,
-      0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, 0.12327900003241102, -0.291295562132746,
-      0.03019706460799578,
-    ],
-    [
-      0.04270509831248423, 0.12327900003241102, -0.1866898618517686,
-      -0.2256365721928506,
-    ],
-    [
-      0.04270509831248423, 0.12327900003241102, -0.10206207261596575,
-      0.27449644908906423,
-    ],
-    [
-      0.04270509831248423, 0.12327900003241102, 0.11949635599612865,
-      -0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, 0.12327900003241102, 0.1717992061366173,
-      0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, 0.12327900003241102, 0.2887519344677344,
-      -0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, 0.1349198897147501, -0.26308629905414493,
-      0.11638256608064532,
-    ],
-    [
-      0.04270509831248423, 0.1349198897147501, -0.1784585098183421,
-      0.2256365721928506,
-    ],
-    [
-      0.04270509831248423, 0.1349198897147501, -0.10617774863267901,
-      -0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, 0.1349198897147501, 0.030752890743612524,
-      -0.2860307014088421,
-    ],
-    [
-      0.04270509831248423, 0.1349198897147501, 0.23233340831053245,
-      0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, 0.1349198897147501, 0.28463625845102114,
-      0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, 0.15375524488006276, -0.2697456027358698,
-      0.0675226891844316,
-    ],
-    [
-      0.04270509831248423, 0.15375524488006276, -0.14516199140971803,
-      -0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, 0.15375524488006276, -0.13281496335957826,
-      0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, 0.15375524488006276, 0.07639643720237638,
-      -0.26736788912062426,
-    ],
-    [
-      0.04270509831248423, 0.15375524488006276, 0.19334916553349346,
-      0.1998451999361926,
-    ],
-    [
-      0.04270509831248423, 0.15375524488006276, 0.2779769547692963,
-      -0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, 0.20306684489302718, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      0.04270509831248423, 0.20306684489302718, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      0.04270509831248423, 0.20306684489302718, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      0.04270509831248423, 0.20306684489302718, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      0.04270509831248423, 0.20306684489302718, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, 0.20306684489302718, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, 0.23354308974067894, -0.2133270765786679,
-      -0.03019706460799578,
-    ],
-    [
-      0.04270509831248423, 0.23354308974067894, -0.17337125448831897,
-      -0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, 0.23354308974067894, -0.024093587061887703,
-      0.2141023198730727,
-    ],
-    [
-      0.04270509831248423, 0.23354308974067894, 0.0805121132190896,
-      0.1998451999361926,
-    ],
-    [
-      0.04270509831248423, 0.23354308974067894, 0.13281496335957826,
-      -0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, 0.23354308974067894, 0.19746484155020672,
-      -0.08618550147264953,
-    ],
-    [
-      0.04270509831248423, 0.2640193345883307, -0.1717992061366173,
-      -0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, 0.2640193345883307, -0.15182129509144282,
-      -0.09059119382398736,
-    ],
-    [
-      0.04270509831248423, 0.2640193345883307, -0.002543627665011569,
-      0.17677669529663687,
-    ],
-    [
-      0.04270509831248423, 0.2640193345883307, 0.049759222475477094,
-      0.16964813532819684,
-    ],
-    [
-      0.04270509831248423, 0.2640193345883307, 0.12203998366114022,
-      -0.12791681840042318,
-    ],
-    [
-      0.04270509831248423, 0.2640193345883307, 0.15436492275645441,
-      -0.08618550147264953,
-    ],
-    [
-      0.04270509831248423, 0.31333093460129513, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      0.04270509831248423, 0.31333093460129513, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, 0.31333093460129513, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, 0.31333093460129513, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      0.04270509831248423, 0.31333093460129513, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      0.04270509831248423, 0.31333093460129513, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [0.05278640450004206, -0.2581988897471611, -0.18257418583505536, 0.0],
-    [
-      0.05278640450004206, -0.2581988897471611, -0.13027133569456673,
-      -0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, -0.2581988897471611, -0.04564354645876384,
-      0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, -0.2581988897471611, 0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.2581988897471611, 0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.2581988897471611, 0.17591488215333057,
-      -0.0488598768962137,
-    ],
-    [
-      0.05278640450004206, -0.20888728973419673, -0.23233340831053245,
-      -0.0488598768962137,
-    ],
-    [
-      0.05278640450004206, -0.20888728973419673, -0.20000846921521825,
-      -0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, -0.20888728973419673, -0.010774979698438068,
-      0.23717082451262844,
-    ],
-    [
-      0.05278640450004206, -0.20888728973419673, 0.07385280953736481,
-      0.2256365721928506,
-    ],
-    [
-      0.05278640450004206, -0.20888728973419673, 0.15848059877316767,
-      -0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, -0.20888728973419673, 0.2107834489136563,
-      -0.10925400611220526,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      0.05278640450004206, -0.07978784486061616, -0.2779769547692963,
-      0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, -0.07978784486061616, -0.19334916553349346,
-      0.23717082451262844,
-    ],
-    [
-      0.05278640450004206, -0.07978784486061616, -0.10872137629769058,
-      -0.2860307014088421,
-    ],
-    [
-      0.05278640450004206, -0.07978784486061616, 0.028209263078600957,
-      -0.3046935136970601,
-    ],
-    [
-      0.05278640450004206, -0.07978784486061616, 0.24976769169069535,
-      0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, -0.07978784486061616, 0.302070541831184,
-      0.0488598768962137,
-    ],
-    [0.05278640450004206, 0.0, -0.30618621784789724, -0.07905694150420947],
-    [0.05278640450004206, 0.0, -0.27386127875258304, -0.15811388300841894],
-    [0.05278640450004206, 0.0, -0.27386127875258304, 0.15811388300841894],
-    [0.05278640450004206, 0.0, -0.2215584286120944, 0.2256365721928506],
-    [0.05278640450004206, 0.0, -0.08462778923580286, -0.3046935136970601],
-    [0.05278640450004206, 0.0, 0.0, -0.3162277660168379],
-    [0.05278640450004206, 0.0, 0.0, 0.3162277660168379],
-    [0.05278640450004206, 0.0, 0.08462778923580286, 0.3046935136970601],
-    [0.05278640450004206, 0.0, 0.2215584286120944, -0.2256365721928506],
-    [0.05278640450004206, 0.0, 0.27386127875258304, -0.15811388300841894],
-    [0.05278640450004206, 0.0, 0.27386127875258304, 0.15811388300841894],
-    [0.05278640450004206, 0.0, 0.30618621784789724, 0.07905694150420947],
-    [
-      0.05278640450004206, 0.07978784486061616, -0.302070541831184,
-      -0.0488598768962137,
-    ],
-    [
-      0.05278640450004206, 0.07978784486061616, -0.24976769169069535,
-      -0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, 0.07978784486061616, -0.028209263078600957,
-      0.3046935136970601,
-    ],
-    [
-      0.05278640450004206, 0.07978784486061616, 0.10872137629769058,
-      0.2860307014088421,
-    ],
-    [
-      0.05278640450004206, 0.07978784486061616, 0.19334916553349346,
-      -0.23717082451262844,
-    ],
-    [
-      0.05278640450004206, 0.07978784486061616, 0.2779769547692963,
-      -0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, 0.20888728973419673, -0.2107834489136563,
-      0.10925400611220526,
-    ],
-    [
-      0.05278640450004206, 0.20888728973419673, -0.15848059877316767,
-      0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, 0.20888728973419673, -0.07385280953736481,
-      -0.2256365721928506,
-    ],
-    [
-      0.05278640450004206, 0.20888728973419673, 0.010774979698438068,
-      -0.23717082451262844,
-    ],
-    [
-      0.05278640450004206, 0.20888728973419673, 0.20000846921521825,
-      0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, 0.20888728973419673, 0.23233340831053245,
-      0.0488598768962137,
-    ],
-    [
-      0.05278640450004206, 0.2581988897471611, -0.17591488215333057,
-      0.0488598768962137,
-    ],
-    [
-      0.05278640450004206, 0.2581988897471611, -0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, 0.2581988897471611, -0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, 0.2581988897471611, 0.04564354645876384,
-      -0.17677669529663687,
-    ],
-    [
-      0.05278640450004206, 0.2581988897471611, 0.13027133569456673,
-      0.12791681840042318,
-    ],
-    [0.05278640450004206, 0.2581988897471611, 0.18257418583505536, 0.0],
-    [
-      0.05278640450004206, 0.28867513459481287, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      0.05278640450004206, 0.28867513459481287, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      0.05278640450004206, 0.28867513459481287, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, -0.2980928121774692, -0.09383072058253925,
-      0.018662812288217916,
-    ],
-    [
-      0.06909830056250527, -0.2980928121774692, -0.05387489849219034,
-      -0.07905694150420947,
-    ],
-    [
-      0.06909830056250527, -0.2980928121774692, -0.0415278704420506,
-      0.08618550147264953,
-    ],
-    [
-      0.06909830056250527, -0.2980928121774692, 0.030752890743612524,
-      -0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, -0.2980928121774692, 0.06307782983892674,
-      0.07192838153576944,
-    ],
-    [
-      0.06909830056250527, -0.2980928121774692, 0.09540276893424093,
-      -0.007128559968440045,
-    ],
-    [
-      0.06909830056250527, -0.27925745701215654, -0.13281496335957826,
-      0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, -0.27925745701215654, -0.0805121132190896,
-      0.11638256608064532,
-    ],
-    [
-      0.06909830056250527, -0.27925745701215654, -0.060534202173915155,
-      -0.12791681840042318,
-    ],
-    [
-      0.06909830056250527, -0.27925745701215654, 0.024093587061887703,
-      -0.13945107072020108,
-    ],
-    [
-      0.06909830056250527, -0.27925745701215654, 0.10872137629769058,
-      0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, -0.27925745701215654, 0.14104631539300477,
-      0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, -0.21830496731685306, -0.2190148009470828,
-      0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, -0.21830496731685306, -0.12203998366114022,
-      -0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, -0.21830496731685306, -0.10206207261596575,
-      0.1998451999361926,
-    ],
-    [
-      0.06909830056250527, -0.21830496731685306, 0.06719350585563999,
-      -0.2141023198730727,
-    ],
-    [
-      0.06909830056250527, -0.21830496731685306, 0.15182129509144282,
-      0.16524244297685903,
-    ],
-    [
-      0.06909830056250527, -0.21830496731685306, 0.22410205627710594,
-      -0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, -0.1878287224692013, -0.24976769169069535,
-      0.018662812288217916,
-    ],
-    [
-      0.06909830056250527, -0.1878287224692013, -0.16513990245489246,
-      -0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, -0.1878287224692013, -0.0805121132190896,
-      0.23717082451262844,
-    ],
-    [
-      0.06909830056250527, -0.1878287224692013, 0.10872137629769058,
-      -0.2256365721928506,
-    ],
-    [
-      0.06909830056250527, -0.1878287224692013, 0.14104631539300477,
-      0.20697375990463268,
-    ],
-    [
-      0.06909830056250527, -0.1878287224692013, 0.2456520156739821,
-      -0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, -0.16899336730388864, -0.2364490843272457,
-      0.11638256608064532,
-    ],
-    [
-      0.06909830056250527, -0.16899336730388864, -0.1717992061366173,
-      0.1998451999361926,
-    ],
-    [
-      0.06909830056250527, -0.16899336730388864, -0.08717141690081442,
-      -0.24870507683240634,
-    ],
-    [
-      0.06909830056250527, -0.16899336730388864, 0.01743428338016289,
-      -0.26296219676928645,
-    ],
-    [
-      0.06909830056250527, -0.16899336730388864, 0.2190148009470828,
-      0.1465796306886411,
-    ],
-    [
-      0.06909830056250527, -0.16899336730388864, 0.2589706230374318,
-      0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, -0.150158012138576, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      0.06909830056250527, -0.150158012138576, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      0.06909830056250527, -0.150158012138576, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, -0.150158012138576, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      0.06909830056250527, -0.150158012138576, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, -0.150158012138576, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      0.06909830056250527, -0.13851712245623687, -0.2672019750708582,
-      0.08618550147264953,
-    ],
-    [
-      0.06909830056250527, -0.13851712245623687, -0.15024924673974116,
-      0.23717082451262844,
-    ],
-    [
-      0.06909830056250527, -0.13851712245623687, -0.13027133569456673,
-      -0.24870507683240634,
-    ],
-    [
-      0.06909830056250527, -0.13851712245623687, 0.05896215382221348,
-      -0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, -0.13851712245623687, 0.20823982124864476,
-      0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, -0.13851712245623687, 0.2805205824343079,
-      0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, -0.07037016727795983, -0.291295562132746,
-      -0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, -0.07037016727795983, -0.27131765108757144,
-      -0.13945107072020108,
-    ],
-    [
-      0.06909830056250527, -0.07037016727795983, 0.01489065571515132,
-      0.3046935136970601,
-    ],
-    [
-      0.06909830056250527, -0.07037016727795983, 0.06719350585563999,
-      0.29756495372862,
-    ],
-    [
-      0.06909830056250527, -0.07037016727795983, 0.22410205627710594,
-      -0.20697375990463268,
-    ],
-    [
-      0.06909830056250527, -0.07037016727795983, 0.2564269953724202,
-      -0.16524244297685903,
-    ],
-    [
-      0.06909830056250527, -0.03989392243030808, -0.302070541831184,
-      0.07192838153576944,
-    ],
-    [
-      0.06909830056250527, -0.03989392243030808, -0.16513990245489246,
-      -0.26296219676928645,
-    ],
-    [
-      0.06909830056250527, -0.03989392243030808, -0.14516199140971803,
-      0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, -0.03989392243030808, 0.08874346525251611,
-      -0.29756495372862,
-    ],
-    [
-      0.06909830056250527, -0.03989392243030808, 0.2133270765786679,
-      0.2256365721928506,
-    ],
-    [
-      0.06909830056250527, -0.03989392243030808, 0.3103018938646105,
-      -0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, -0.009417677582656322, -0.3128455215296221,
-      -0.007128559968440045,
-    ],
-    [
-      0.06909830056250527, -0.009417677582656322, -0.2282177322938192,
-      -0.2141023198730727,
-    ],
-    [
-      0.06909830056250527, -0.009417677582656322, -0.07130918187235323,
-      0.3046935136970601,
-    ],
-    [
-      0.06909830056250527, -0.009417677582656322, 0.15024924673974116,
-      0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, -0.009417677582656322, 0.16259627478988092,
-      -0.26736788912062426,
-    ],
-    [
-      0.06909830056250527, -0.009417677582656322, 0.2995269141661725,
-      -0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, 0.009417677582656322, -0.2995269141661725,
-      0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, 0.009417677582656322, -0.16259627478988092,
-      0.26736788912062426,
-    ],
-    [
-      0.06909830056250527, 0.009417677582656322, -0.15024924673974116,
-      -0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, 0.009417677582656322, 0.07130918187235323,
-      -0.3046935136970601,
-    ],
-    [
-      0.06909830056250527, 0.009417677582656322, 0.2282177322938192,
-      0.2141023198730727,
-    ],
-    [
-      0.06909830056250527, 0.009417677582656322, 0.3128455215296221,
-      0.007128559968440045,
-    ],
-    [
-      0.06909830056250527, 0.03989392243030808, -0.3103018938646105,
-      0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, 0.03989392243030808, -0.2133270765786679,
-      -0.2256365721928506,
-    ],
-    [
-      0.06909830056250527, 0.03989392243030808, -0.08874346525251611,
-      0.29756495372862,
-    ],
-    [
-      0.06909830056250527, 0.03989392243030808, 0.14516199140971803,
-      -0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, 0.03989392243030808, 0.16513990245489246,
-      0.26296219676928645,
-    ],
-    [
-      0.06909830056250527, 0.03989392243030808, 0.302070541831184,
-      -0.07192838153576944,
-    ],
-    [
-      0.06909830056250527, 0.07037016727795983, -0.2564269953724202,
-      0.16524244297685903,
-    ],
-    [
-      0.06909830056250527, 0.07037016727795983, -0.22410205627710594,
-      0.20697375990463268,
-    ],
-    [
-      0.06909830056250527, 0.07037016727795983, -0.06719350585563999,
-      -0.29756495372862,
-    ],
-    [
-      0.06909830056250527, 0.07037016727795983, -0.01489065571515132,
-      -0.3046935136970601,
-    ],
-    [
-      0.06909830056250527, 0.07037016727795983, 0.27131765108757144,
-      0.13945107072020108,
-    ],
-    [
-      0.06909830056250527, 0.07037016727795983, 0.291295562132746,
-      0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, 0.13851712245623687, -0.2805205824343079,
-      -0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, 0.13851712245623687, -0.20823982124864476,
-      -0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, 0.13851712245623687, -0.05896215382221348,
-      0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, 0.13851712245623687, 0.13027133569456673,
-      0.24870507683240634,
-    ],
-    [
-      0.06909830056250527, 0.13851712245623687, 0.15024924673974116,
-      -0.23717082451262844,
-    ],
-    [
-      0.06909830056250527, 0.13851712245623687, 0.2672019750708582,
-      -0.08618550147264953,
-    ],
-    [
-      0.06909830056250527, 0.150158012138576, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      0.06909830056250527, 0.150158012138576, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, 0.150158012138576, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      0.06909830056250527, 0.150158012138576, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      0.06909830056250527, 0.150158012138576, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      0.06909830056250527, 0.150158012138576, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      0.06909830056250527, 0.16899336730388864, -0.2589706230374318,
-      -0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, 0.16899336730388864, -0.2190148009470828,
-      -0.1465796306886411,
-    ],
-    [
-      0.06909830056250527, 0.16899336730388864, -0.01743428338016289,
-      0.26296219676928645,
-    ],
-    [
-      0.06909830056250527, 0.16899336730388864, 0.08717141690081442,
-      0.24870507683240634,
-    ],
-    [
-      0.06909830056250527, 0.16899336730388864, 0.1717992061366173,
-      -0.1998451999361926,
-    ],
-    [
-      0.06909830056250527, 0.16899336730388864, 0.2364490843272457,
-      -0.11638256608064532,
-    ],
-    [
-      0.06909830056250527, 0.1878287224692013, -0.2456520156739821,
-      0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, 0.1878287224692013, -0.14104631539300477,
-      -0.20697375990463268,
-    ],
-    [
-      0.06909830056250527, 0.1878287224692013, -0.10872137629769058,
-      0.2256365721928506,
-    ],
-    [
-      0.06909830056250527, 0.1878287224692013, 0.0805121132190896,
-      -0.23717082451262844,
-    ],
-    [
-      0.06909830056250527, 0.1878287224692013, 0.16513990245489246,
-      0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, 0.1878287224692013, 0.24976769169069535,
-      -0.018662812288217916,
-    ],
-    [
-      0.06909830056250527, 0.21830496731685306, -0.22410205627710594,
-      0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, 0.21830496731685306, -0.15182129509144282,
-      -0.16524244297685903,
-    ],
-    [
-      0.06909830056250527, 0.21830496731685306, -0.06719350585563999,
-      0.2141023198730727,
-    ],
-    [
-      0.06909830056250527, 0.21830496731685306, 0.10206207261596575,
-      -0.1998451999361926,
-    ],
-    [
-      0.06909830056250527, 0.21830496731685306, 0.12203998366114022,
-      0.18831094761641476,
-    ],
-    [
-      0.06909830056250527, 0.21830496731685306, 0.2190148009470828,
-      -0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, 0.27925745701215654, -0.14104631539300477,
-      -0.01153425231977787,
-    ],
-    [
-      0.06909830056250527, 0.27925745701215654, -0.10872137629769058,
-      -0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, 0.27925745701215654, -0.024093587061887703,
-      0.13945107072020108,
-    ],
-    [
-      0.06909830056250527, 0.27925745701215654, 0.060534202173915155,
-      0.12791681840042318,
-    ],
-    [
-      0.06909830056250527, 0.27925745701215654, 0.0805121132190896,
-      -0.11638256608064532,
-    ],
-    [
-      0.06909830056250527, 0.27925745701215654, 0.13281496335957826,
-      -0.0488598768962137,
-    ],
-    [
-      0.06909830056250527, 0.2980928121774692, -0.09540276893424093,
-      0.007128559968440045,
-    ],
-    [
-      0.06909830056250527, 0.2980928121774692, -0.06307782983892674,
-      -0.07192838153576944,
-    ],
-    [
-      0.06909830056250527, 0.2980928121774692, -0.030752890743612524,
-      0.09059119382398736,
-    ],
-    [
-      0.06909830056250527, 0.2980928121774692, 0.0415278704420506,
-      -0.08618550147264953,
-    ],
-    [
-      0.06909830056250527, 0.2980928121774692, 0.05387489849219034,
-      0.07905694150420947,
-    ],
-    [
-      0.06909830056250527, 0.2980928121774692, 0.09383072058253925,
-      -0.018662812288217916,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [
-      0.08541019662496846, -0.28867513459481287, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.08541019662496846, -0.28867513459481287, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.08541019662496846, -0.28867513459481287, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      0.08541019662496846, -0.2393635345818485, -0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, -0.2393635345818485, -0.13693063937629152,
-      0.13945107072020108,
-    ],
-    [
-      0.08541019662496846, -0.2393635345818485, -0.05230285014048866,
-      -0.18831094761641476,
-    ],
-    [0.08541019662496846, -0.2393635345818485, 0.0, -0.1954395075848548],
-    [
-      0.08541019662496846, -0.2393635345818485, 0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, -0.2393635345818485, 0.1892334895167802,
-      0.0488598768962137,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      0.08541019662496846, -0.17841104488654497, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      0.08541019662496846, -0.17841104488654497, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.17841104488654497, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.17841104488654497, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      0.08541019662496846, -0.17841104488654497, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [0.08541019662496846, -0.17841104488654497, 0.25231131935570694, 0.0],
-    [
-      0.08541019662496846, -0.12909944487358055, -0.2805205824343079,
-      -0.01153425231977787,
-    ],
-    [
-      0.08541019662496846, -0.12909944487358055, -0.20823982124864476,
-      -0.18831094761641476,
-    ],
-    [
-      0.08541019662496846, -0.12909944487358055, -0.05896215382221348,
-      0.27449644908906423,
-    ],
-    [
-      0.08541019662496846, -0.12909944487358055, 0.13027133569456673,
-      0.24870507683240634,
-    ],
-    [
-      0.08541019662496846, -0.12909944487358055, 0.15024924673974116,
-      -0.23717082451262844,
-    ],
-    [
-      0.08541019662496846, -0.12909944487358055, 0.2672019750708582,
-      -0.08618550147264953,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      0.08541019662496846, -0.09862320002592881, -0.291295562132746,
-      0.03019706460799578,
-    ],
-    [
-      0.08541019662496846, -0.09862320002592881, -0.1866898618517686,
-      -0.2256365721928506,
-    ],
-    [
-      0.08541019662496846, -0.09862320002592881, -0.10206207261596575,
-      0.27449644908906423,
-    ],
-    [
-      0.08541019662496846, -0.09862320002592881, 0.11949635599612865,
-      -0.26736788912062426,
-    ],
-    [
-      0.08541019662496846, -0.09862320002592881, 0.1717992061366173,
-      0.23717082451262844,
-    ],
-    [
-      0.08541019662496846, -0.09862320002592881, 0.2887519344677344,
-      -0.0488598768962137,
-    ],
-    [
-      0.08541019662496846, -0.07978784486061616, -0.2979548658144707,
-      -0.018662812288217916,
-    ],
-    [
-      0.08541019662496846, -0.07978784486061616, -0.22567410462880766,
-      -0.1954395075848548,
-    ],
-    [
-      0.08541019662496846, -0.07978784486061616, -0.056418526157201915,
-      0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, -0.07978784486061616, 0.13281496335957826,
-      0.26736788912062426,
-    ],
-    [
-      0.08541019662496846, -0.07978784486061616, 0.16513990245489246,
-      -0.24870507683240634,
-    ],
-    [
-      0.08541019662496846, -0.07978784486061616, 0.28209263078600955,
-      -0.0977197537924274,
-    ],
-    [0.08541019662496846, 0.0, -0.30618621784789724, 0.041731316927773654],
-    [0.08541019662496846, 0.0, -0.1892334895167802, -0.24429938448106847],
-    [0.08541019662496846, 0.0, -0.11695272833111708, 0.2860307014088421],
-    [0.08541019662496846, 0.0, 0.11695272833111708, -0.2860307014088421],
-    [0.08541019662496846, 0.0, 0.1892334895167802, 0.24429938448106847],
-    [0.08541019662496846, 0.0, 0.30618621784789724, -0.041731316927773654],
-    [
-      0.08541019662496846, 0.07978784486061616, -0.28209263078600955,
-      0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, 0.07978784486061616, -0.16513990245489246,
-      0.24870507683240634,
-    ],
-    [
-      0.08541019662496846, 0.07978784486061616, -0.13281496335957826,
-      -0.26736788912062426,
-    ],
-    [
-      0.08541019662496846, 0.07978784486061616, 0.056418526157201915,
-      -0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, 0.07978784486061616, 0.22567410462880766,
-      0.1954395075848548,
-    ],
-    [
-      0.08541019662496846, 0.07978784486061616, 0.2979548658144707,
-      0.018662812288217916,
-    ],
-    [
-      0.08541019662496846, 0.09862320002592881, -0.2887519344677344,
-      0.0488598768962137,
-    ],
-    [
-      0.08541019662496846, 0.09862320002592881, -0.1717992061366173,
-      -0.23717082451262844,
-    ],
-    [
-      0.08541019662496846, 0.09862320002592881, -0.11949635599612865,
-      0.26736788912062426,
-    ],
-    [
-      0.08541019662496846, 0.09862320002592881, 0.10206207261596575,
-      -0.27449644908906423,
-    ],
-    [
-      0.08541019662496846, 0.09862320002592881, 0.1866898618517686,
-      0.2256365721928506,
-    ],
-    [
-      0.08541019662496846, 0.09862320002592881, 0.291295562132746,
-      -0.03019706460799578,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      0.08541019662496846, 0.12909944487358055, -0.2672019750708582,
-      0.08618550147264953,
-    ],
-    [
-      0.08541019662496846, 0.12909944487358055, -0.15024924673974116,
-      0.23717082451262844,
-    ],
-    [
-      0.08541019662496846, 0.12909944487358055, -0.13027133569456673,
-      -0.24870507683240634,
-    ],
-    [
-      0.08541019662496846, 0.12909944487358055, 0.05896215382221348,
-      -0.27449644908906423,
-    ],
-    [
-      0.08541019662496846, 0.12909944487358055, 0.20823982124864476,
-      0.18831094761641476,
-    ],
-    [
-      0.08541019662496846, 0.12909944487358055, 0.2805205824343079,
-      0.01153425231977787,
-    ],
-    [0.08541019662496846, 0.17841104488654497, -0.25231131935570694, 0.0],
-    [
-      0.08541019662496846, 0.17841104488654497, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      0.08541019662496846, 0.17841104488654497, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      0.08541019662496846, 0.17841104488654497, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.17841104488654497, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.17841104488654497, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      0.08541019662496846, 0.2393635345818485, -0.1892334895167802,
-      -0.0488598768962137,
-    ],
-    [
-      0.08541019662496846, 0.2393635345818485, -0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [0.08541019662496846, 0.2393635345818485, 0.0, 0.1954395075848548],
-    [
-      0.08541019662496846, 0.2393635345818485, 0.05230285014048866,
-      0.18831094761641476,
-    ],
-    [
-      0.08541019662496846, 0.2393635345818485, 0.13693063937629152,
-      -0.13945107072020108,
-    ],
-    [
-      0.08541019662496846, 0.2393635345818485, 0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, 0.28867513459481287, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.08541019662496846, 0.28867513459481287, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.08541019662496846, 0.28867513459481287, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      0.09549150281252629, -0.28285468975364336, -0.1153806799794154,
-      -0.018662812288217916,
-    ],
-    [
-      0.09549150281252629, -0.28285468975364336, -0.09540276893424093,
-      -0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, -0.28285468975364336, -0.010774979698438068,
-      0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, -0.28285468975364336, 0.0415278704420506,
-      0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, -0.28285468975364336, 0.07385280953736481,
-      -0.09059119382398736,
-    ],
-    [
-      0.09549150281252629, -0.28285468975364336, 0.10617774863267901,
-      -0.0488598768962137,
-    ],
-    [
-      0.09549150281252629, -0.2640193345883307, -0.15436492275645441,
-      0.01153425231977787,
-    ],
-    [
-      0.09549150281252629, -0.2640193345883307, -0.10206207261596575,
-      -0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, -0.2640193345883307, -0.049759222475477094,
-      0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, -0.2640193345883307, 0.06719350585563999,
-      -0.13945107072020108,
-    ],
-    [
-      0.09549150281252629, -0.2640193345883307, 0.08717141690081442,
-      0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, -0.2640193345883307, 0.15182129509144282,
-      -0.03019706460799578,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, -0.19746484155020672,
-      0.01153425231977787,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, -0.13281496335957826,
-      -0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, -0.060534202173915155,
-      0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, 0.08874346525251611,
-      -0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, 0.10872137629769058,
-      0.16524244297685903,
-    ],
-    [
-      0.09549150281252629, -0.23354308974067894, 0.19334916553349346,
-      -0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, -0.20306684489302718, -0.2282177322938192,
-      -0.018662812288217916,
-    ],
-    [
-      0.09549150281252629, -0.20306684489302718, -0.17591488215333057,
-      -0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, -0.20306684489302718, -0.03898424277703902,
-      0.2256365721928506,
-    ],
-    [
-      0.09549150281252629, -0.20306684489302718, 0.0979463965992525,
-      0.20697375990463268,
-    ],
-    [
-      0.09549150281252629, -0.20306684489302718, 0.13027133569456673,
-      -0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, -0.20306684489302718, 0.21489912493036956,
-      -0.07905694150420947,
-    ],
-    [
-      0.09549150281252629, -0.18423148972771453, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, -0.18423148972771453, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, -0.18423148972771453, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, -0.18423148972771453, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      0.09549150281252629, -0.18423148972771453, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      0.09549150281252629, -0.18423148972771453, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, -0.1349198897147501, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, -0.1349198897147501, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, -0.1349198897147501, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      0.09549150281252629, -0.1349198897147501, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      0.09549150281252629, -0.1349198897147501, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, -0.1349198897147501, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      0.09549150281252629, -0.10444364486709837, -0.26308629905414493,
-      0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, -0.10444364486709837, -0.1784585098183421,
-      0.2256365721928506,
-    ],
-    [
-      0.09549150281252629, -0.10444364486709837, -0.10617774863267901,
-      -0.26736788912062426,
-    ],
-    [
-      0.09549150281252629, -0.10444364486709837, 0.030752890743612524,
-      -0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, -0.10444364486709837, 0.23233340831053245,
-      0.16964813532819684,
-    ],
-    [
-      0.09549150281252629, -0.10444364486709837, 0.28463625845102114,
-      0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.2805205824343079,
-      0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.17591488215333057,
-      0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, -0.12361203201284189,
-      -0.27449644908906423,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.04564354645876384,
-      -0.29756495372862,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.23487703597554405,
-      0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, -0.05513204485413396, 0.2995269141661725,
-      0.03019706460799578,
-    ],
-    [
-      0.09549150281252629, -0.024655800006482202, -0.291295562132746,
-      -0.09059119382398736,
-    ],
-    [
-      0.09549150281252629, -0.024655800006482202, -0.27131765108757144,
-      -0.13945107072020108,
-    ],
-    [
-      0.09549150281252629, -0.024655800006482202, 0.01489065571515132,
-      0.3046935136970601,
-    ],
-    [
-      0.09549150281252629, -0.024655800006482202, 0.06719350585563999,
-      0.29756495372862,
-    ],
-    [
-      0.09549150281252629, -0.024655800006482202, 0.22410205627710594,
-      -0.20697375990463268,
-    ],
-    [
-      0.09549150281252629, -0.024655800006482202, 0.2564269953724202,
-      -0.16524244297685903,
-    ],
-    [
-      0.09549150281252629, -0.005820444841169555, -0.2779769547692963,
-      0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, -0.005820444841169555, -0.19334916553349346,
-      0.23717082451262844,
-    ],
-    [
-      0.09549150281252629, -0.005820444841169555, -0.10872137629769058,
-      -0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, -0.005820444841169555, 0.028209263078600957,
-      -0.3046935136970601,
-    ],
-    [
-      0.09549150281252629, -0.005820444841169555, 0.24976769169069535,
-      0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, -0.005820444841169555, 0.302070541831184,
-      0.0488598768962137,
-    ],
-    [
-      0.09549150281252629, 0.005820444841169555, -0.302070541831184,
-      -0.0488598768962137,
-    ],
-    [
-      0.09549150281252629, 0.005820444841169555, -0.24976769169069535,
-      -0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, 0.005820444841169555, -0.028209263078600957,
-      0.3046935136970601,
-    ],
-    [
-      0.09549150281252629, 0.005820444841169555, 0.10872137629769058,
-      0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, 0.005820444841169555, 0.19334916553349346,
-      -0.23717082451262844,
-    ],
-    [
-      0.09549150281252629, 0.005820444841169555, 0.2779769547692963,
-      -0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, 0.024655800006482202, -0.2564269953724202,
-      0.16524244297685903,
-    ],
-    [
-      0.09549150281252629, 0.024655800006482202, -0.22410205627710594,
-      0.20697375990463268,
-    ],
-    [
-      0.09549150281252629, 0.024655800006482202, -0.06719350585563999,
-      -0.29756495372862,
-    ],
-    [
-      0.09549150281252629, 0.024655800006482202, -0.01489065571515132,
-      -0.3046935136970601,
-    ],
-    [
-      0.09549150281252629, 0.024655800006482202, 0.27131765108757144,
-      0.13945107072020108,
-    ],
-    [
-      0.09549150281252629, 0.024655800006482202, 0.291295562132746,
-      0.09059119382398736,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.2995269141661725,
-      -0.03019706460799578,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.23487703597554405,
-      -0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, -0.04564354645876384,
-      0.29756495372862,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.12361203201284189,
-      0.27449644908906423,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.17591488215333057,
-      -0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, 0.05513204485413396, 0.2805205824343079,
-      -0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, 0.10444364486709837, -0.28463625845102114,
-      -0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, 0.10444364486709837, -0.23233340831053245,
-      -0.16964813532819684,
-    ],
-    [
-      0.09549150281252629, 0.10444364486709837, -0.030752890743612524,
-      0.2860307014088421,
-    ],
-    [
-      0.09549150281252629, 0.10444364486709837, 0.10617774863267901,
-      0.26736788912062426,
-    ],
-    [
-      0.09549150281252629, 0.10444364486709837, 0.1784585098183421,
-      -0.2256365721928506,
-    ],
-    [
-      0.09549150281252629, 0.10444364486709837, 0.26308629905414493,
-      -0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, 0.1349198897147501, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      0.09549150281252629, 0.1349198897147501, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, 0.1349198897147501, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      0.09549150281252629, 0.1349198897147501, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      0.09549150281252629, 0.1349198897147501, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, 0.1349198897147501, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, 0.18423148972771453, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, 0.18423148972771453, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      0.09549150281252629, 0.18423148972771453, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      0.09549150281252629, 0.18423148972771453, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      0.09549150281252629, 0.18423148972771453, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, 0.18423148972771453, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, 0.20306684489302718, -0.21489912493036956,
-      0.07905694150420947,
-    ],
-    [
-      0.09549150281252629, 0.20306684489302718, -0.13027133569456673,
-      0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, 0.20306684489302718, -0.0979463965992525,
-      -0.20697375990463268,
-    ],
-    [
-      0.09549150281252629, 0.20306684489302718, 0.03898424277703902,
-      -0.2256365721928506,
-    ],
-    [
-      0.09549150281252629, 0.20306684489302718, 0.17591488215333057,
-      0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, 0.20306684489302718, 0.2282177322938192,
-      0.018662812288217916,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, -0.19334916553349346,
-      0.041731316927773654,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, -0.10872137629769058,
-      -0.16524244297685903,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, -0.08874346525251611,
-      0.17677669529663687,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, 0.060534202173915155,
-      -0.18831094761641476,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, 0.13281496335957826,
-      0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, 0.23354308974067894, 0.19746484155020672,
-      -0.01153425231977787,
-    ],
-    [
-      0.09549150281252629, 0.2640193345883307, -0.15182129509144282,
-      0.03019706460799578,
-    ],
-    [
-      0.09549150281252629, 0.2640193345883307, -0.08717141690081442,
-      -0.12791681840042318,
-    ],
-    [
-      0.09549150281252629, 0.2640193345883307, -0.06719350585563999,
-      0.13945107072020108,
-    ],
-    [
-      0.09549150281252629, 0.2640193345883307, 0.049759222475477094,
-      -0.1465796306886411,
-    ],
-    [
-      0.09549150281252629, 0.2640193345883307, 0.10206207261596575,
-      0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, 0.2640193345883307, 0.15436492275645441,
-      -0.01153425231977787,
-    ],
-    [
-      0.09549150281252629, 0.28285468975364336, -0.10617774863267901,
-      0.0488598768962137,
-    ],
-    [
-      0.09549150281252629, 0.28285468975364336, -0.07385280953736481,
-      0.09059119382398736,
-    ],
-    [
-      0.09549150281252629, 0.28285468975364336, -0.0415278704420506,
-      -0.10925400611220526,
-    ],
-    [
-      0.09549150281252629, 0.28285468975364336, 0.010774979698438068,
-      -0.11638256608064532,
-    ],
-    [
-      0.09549150281252629, 0.28285468975364336, 0.09540276893424093,
-      0.0675226891844316,
-    ],
-    [
-      0.09549150281252629, 0.28285468975364336, 0.1153806799794154,
-      0.018662812288217916,
-    ],
-    [0.1118033988749895, -0.2922723673362997, -0.06973713352065156, 0.0],
-    [
-      0.1118033988749895, -0.2922723673362997, -0.049759222475477094,
-      -0.0488598768962137,
-    ],
-    [
-      0.1118033988749895, -0.2922723673362997, -0.01743428338016289,
-      0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, -0.2922723673362997, 0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, -0.2922723673362997, 0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, -0.2922723673362997, 0.06719350585563999,
-      -0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, -0.2546016570056744, -0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, -0.2546016570056744, -0.09540276893424093,
-      0.12791681840042318,
-    ],
-    [
-      0.1118033988749895, -0.2546016570056744, -0.06307782983892674,
-      -0.1465796306886411,
-    ],
-    [
-      0.1118033988749895, -0.2546016570056744, 0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      0.1118033988749895, -0.2546016570056744, 0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      0.1118033988749895, -0.2546016570056744, 0.15848059877316767,
-      0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, -0.22412541215802262, -0.19080553786848187,
-      0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, -0.22412541215802262, -0.10617774863267901,
-      0.16964813532819684,
-    ],
-    [
-      0.1118033988749895, -0.22412541215802262, -0.09383072058253925,
-      -0.17677669529663687,
-    ],
-    [
-      0.1118033988749895, -0.22412541215802262, 0.04309991879375227,
-      -0.1954395075848548,
-    ],
-    [
-      0.1118033988749895, -0.22412541215802262, 0.14770561907472962,
-      0.1350453783688632,
-    ],
-    [
-      0.1118033988749895, -0.22412541215802262, 0.20000846921521825,
-      0.007128559968440045,
-    ],
-    [
-      0.1118033988749895, -0.1748138121450582, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      0.1118033988749895, -0.1748138121450582, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      0.1118033988749895, -0.1748138121450582, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      0.1118033988749895, -0.1748138121450582, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, -0.1748138121450582, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      0.1118033988749895, -0.1748138121450582, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [0.1118033988749895, -0.16317292246271908, -0.25231131935570694, 0.0],
-    [
-      0.1118033988749895, -0.16317292246271908, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      0.1118033988749895, -0.16317292246271908, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, -0.16317292246271908, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, -0.16317292246271908, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, -0.16317292246271908, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, -0.14433756729740643, -0.2589706230374318,
-      -0.0488598768962137,
-    ],
-    [
-      0.1118033988749895, -0.14433756729740643, -0.2190148009470828,
-      -0.1465796306886411,
-    ],
-    [
-      0.1118033988749895, -0.14433756729740643, -0.01743428338016289,
-      0.26296219676928645,
-    ],
-    [
-      0.1118033988749895, -0.14433756729740643, 0.08717141690081442,
-      0.24870507683240634,
-    ],
-    [
-      0.1118033988749895, -0.14433756729740643, 0.1717992061366173,
-      -0.1998451999361926,
-    ],
-    [
-      0.1118033988749895, -0.14433756729740643, 0.2364490843272457,
-      -0.11638256608064532,
-    ],
-    [
-      0.1118033988749895, -0.11386132244975469, -0.2697456027358698,
-      0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, -0.11386132244975469, -0.14516199140971803,
-      -0.23717082451262844,
-    ],
-    [
-      0.1118033988749895, -0.11386132244975469, -0.13281496335957826,
-      0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, -0.11386132244975469, 0.07639643720237638,
-      -0.26736788912062426,
-    ],
-    [
-      0.1118033988749895, -0.11386132244975469, 0.19334916553349346,
-      0.1998451999361926,
-    ],
-    [
-      0.1118033988749895, -0.11386132244975469, 0.2779769547692963,
-      -0.007128559968440045,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, -0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, -0.16259627478988092,
-      -0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, -0.13027133569456673,
-      0.26296219676928645,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, 0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, 0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      0.1118033988749895, -0.06454972243679027, 0.29286761048444765,
-      -0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, -0.03407347758913852, -0.2979548658144707,
-      -0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, -0.03407347758913852, -0.22567410462880766,
-      -0.1954395075848548,
-    ],
-    [
-      0.1118033988749895, -0.03407347758913852, -0.056418526157201915,
-      0.2931592613772822,
-    ],
-    [
-      0.1118033988749895, -0.03407347758913852, 0.13281496335957826,
-      0.26736788912062426,
-    ],
-    [
-      0.1118033988749895, -0.03407347758913852, 0.16513990245489246,
-      -0.24870507683240634,
-    ],
-    [
-      0.1118033988749895, -0.03407347758913852, 0.28209263078600955,
-      -0.0977197537924274,
-    ],
-    [
-      0.1118033988749895, 0.03407347758913852, -0.28209263078600955,
-      0.0977197537924274,
-    ],
-    [
-      0.1118033988749895, 0.03407347758913852, -0.16513990245489246,
-      0.24870507683240634,
-    ],
-    [
-      0.1118033988749895, 0.03407347758913852, -0.13281496335957826,
-      -0.26736788912062426,
-    ],
-    [
-      0.1118033988749895, 0.03407347758913852, 0.056418526157201915,
-      -0.2931592613772822,
-    ],
-    [
-      0.1118033988749895, 0.03407347758913852, 0.22567410462880766,
-      0.1954395075848548,
-    ],
-    [
-      0.1118033988749895, 0.03407347758913852, 0.2979548658144707,
-      0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, -0.29286761048444765,
-      0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, -0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, -0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, 0.13027133569456673,
-      -0.26296219676928645,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, 0.16259627478988092,
-      0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, 0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, 0.06454972243679027, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, 0.11386132244975469, -0.2779769547692963,
-      0.007128559968440045,
-    ],
-    [
-      0.1118033988749895, 0.11386132244975469, -0.19334916553349346,
-      -0.1998451999361926,
-    ],
-    [
-      0.1118033988749895, 0.11386132244975469, -0.07639643720237638,
-      0.26736788912062426,
-    ],
-    [
-      0.1118033988749895, 0.11386132244975469, 0.13281496335957826,
-      -0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, 0.11386132244975469, 0.14516199140971803,
-      0.23717082451262844,
-    ],
-    [
-      0.1118033988749895, 0.11386132244975469, 0.2697456027358698,
-      -0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, 0.14433756729740643, -0.2364490843272457,
-      0.11638256608064532,
-    ],
-    [
-      0.1118033988749895, 0.14433756729740643, -0.1717992061366173,
-      0.1998451999361926,
-    ],
-    [
-      0.1118033988749895, 0.14433756729740643, -0.08717141690081442,
-      -0.24870507683240634,
-    ],
-    [
-      0.1118033988749895, 0.14433756729740643, 0.01743428338016289,
-      -0.26296219676928645,
-    ],
-    [
-      0.1118033988749895, 0.14433756729740643, 0.2190148009470828,
-      0.1465796306886411,
-    ],
-    [
-      0.1118033988749895, 0.14433756729740643, 0.2589706230374318,
-      0.0488598768962137,
-    ],
-    [
-      0.1118033988749895, 0.16317292246271908, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, 0.16317292246271908, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, 0.16317292246271908, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.1118033988749895, 0.16317292246271908, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, 0.16317292246271908, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [0.1118033988749895, 0.16317292246271908, 0.25231131935570694, 0.0],
-    [
-      0.1118033988749895, 0.1748138121450582, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, 0.1748138121450582, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      0.1118033988749895, 0.1748138121450582, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      0.1118033988749895, 0.1748138121450582, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      0.1118033988749895, 0.1748138121450582, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      0.1118033988749895, 0.1748138121450582, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      0.1118033988749895, 0.22412541215802262, -0.20000846921521825,
-      -0.007128559968440045,
-    ],
-    [
-      0.1118033988749895, 0.22412541215802262, -0.14770561907472962,
-      -0.1350453783688632,
-    ],
-    [
-      0.1118033988749895, 0.22412541215802262, -0.04309991879375227,
-      0.1954395075848548,
-    ],
-    [
-      0.1118033988749895, 0.22412541215802262, 0.09383072058253925,
-      0.17677669529663687,
-    ],
-    [
-      0.1118033988749895, 0.22412541215802262, 0.10617774863267901,
-      -0.16964813532819684,
-    ],
-    [
-      0.1118033988749895, 0.22412541215802262, 0.19080553786848187,
-      -0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, 0.2546016570056744, -0.15848059877316767,
-      -0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, 0.2546016570056744, -0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      0.1118033988749895, 0.2546016570056744, -0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      0.1118033988749895, 0.2546016570056744, 0.06307782983892674,
-      0.1465796306886411,
-    ],
-    [
-      0.1118033988749895, 0.2546016570056744, 0.09540276893424093,
-      -0.12791681840042318,
-    ],
-    [
-      0.1118033988749895, 0.2546016570056744, 0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, 0.2922723673362997, -0.06719350585563999,
-      0.018662812288217916,
-    ],
-    [
-      0.1118033988749895, 0.2922723673362997, -0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, 0.2922723673362997, -0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      0.1118033988749895, 0.2922723673362997, 0.01743428338016289,
-      -0.0675226891844316,
-    ],
-    [
-      0.1118033988749895, 0.2922723673362997, 0.049759222475477094,
-      0.0488598768962137,
-    ],
-    [0.1118033988749895, 0.2922723673362997, 0.06973713352065156, 0.0],
-    [
-      0.12811529493745266, -0.28285468975364336, -0.06307782983892674,
-      0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, -0.28285468975364336, -0.010774979698438068,
-      -0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, -0.28285468975364336, 0.07385280953736481,
-      0.03019706460799578,
-    ],
-    [
-      0.12811529493745266, -0.2640193345883307, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, -0.2640193345883307, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      0.12811529493745266, -0.2640193345883307, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, -0.18423148972771453, -0.21489912493036956,
-      0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, -0.18423148972771453, -0.13027133569456673,
-      0.18831094761641476,
-    ],
-    [
-      0.12811529493745266, -0.18423148972771453, -0.0979463965992525,
-      -0.20697375990463268,
-    ],
-    [
-      0.12811529493745266, -0.18423148972771453, 0.03898424277703902,
-      -0.2256365721928506,
-    ],
-    [
-      0.12811529493745266, -0.18423148972771453, 0.17591488215333057,
-      0.1465796306886411,
-    ],
-    [
-      0.12811529493745266, -0.18423148972771453, 0.2282177322938192,
-      0.018662812288217916,
-    ],
-    [
-      0.12811529493745266, -0.15375524488006276, -0.2456520156739821,
-      0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, -0.15375524488006276, -0.14104631539300477,
-      -0.20697375990463268,
-    ],
-    [
-      0.12811529493745266, -0.15375524488006276, -0.10872137629769058,
-      0.2256365721928506,
-    ],
-    [
-      0.12811529493745266, -0.15375524488006276, 0.0805121132190896,
-      -0.23717082451262844,
-    ],
-    [
-      0.12811529493745266, -0.15375524488006276, 0.16513990245489246,
-      0.18831094761641476,
-    ],
-    [
-      0.12811529493745266, -0.15375524488006276, 0.24976769169069535,
-      -0.018662812288217916,
-    ],
-    [
-      0.12811529493745266, -0.10444364486709837, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, -0.10444364486709837, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      0.12811529493745266, -0.10444364486709837, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      0.12811529493745266, -0.10444364486709837, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      0.12811529493745266, -0.10444364486709837, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      0.12811529493745266, -0.10444364486709837, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      0.12811529493745266, -0.024655800006482202, -0.291295562132746,
-      0.03019706460799578,
-    ],
-    [
-      0.12811529493745266, -0.024655800006482202, -0.1866898618517686,
-      -0.2256365721928506,
-    ],
-    [
-      0.12811529493745266, -0.024655800006482202, -0.10206207261596575,
-      0.27449644908906423,
-    ],
-    [
-      0.12811529493745266, -0.024655800006482202, 0.11949635599612865,
-      -0.26736788912062426,
-    ],
-    [
-      0.12811529493745266, -0.024655800006482202, 0.1717992061366173,
-      0.23717082451262844,
-    ],
-    [
-      0.12811529493745266, -0.024655800006482202, 0.2887519344677344,
-      -0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, 0.024655800006482202, -0.2887519344677344,
-      0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, 0.024655800006482202, -0.1717992061366173,
-      -0.23717082451262844,
-    ],
-    [
-      0.12811529493745266, 0.024655800006482202, -0.11949635599612865,
-      0.26736788912062426,
-    ],
-    [
-      0.12811529493745266, 0.024655800006482202, 0.10206207261596575,
-      -0.27449644908906423,
-    ],
-    [
-      0.12811529493745266, 0.024655800006482202, 0.1866898618517686,
-      0.2256365721928506,
-    ],
-    [
-      0.12811529493745266, 0.024655800006482202, 0.291295562132746,
-      -0.03019706460799578,
-    ],
-    [
-      0.12811529493745266, 0.10444364486709837, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      0.12811529493745266, 0.10444364486709837, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      0.12811529493745266, 0.10444364486709837, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      0.12811529493745266, 0.10444364486709837, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      0.12811529493745266, 0.10444364486709837, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      0.12811529493745266, 0.10444364486709837, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, 0.15375524488006276, -0.24976769169069535,
-      0.018662812288217916,
-    ],
-    [
-      0.12811529493745266, 0.15375524488006276, -0.16513990245489246,
-      -0.18831094761641476,
-    ],
-    [
-      0.12811529493745266, 0.15375524488006276, -0.0805121132190896,
-      0.23717082451262844,
-    ],
-    [
-      0.12811529493745266, 0.15375524488006276, 0.10872137629769058,
-      -0.2256365721928506,
-    ],
-    [
-      0.12811529493745266, 0.15375524488006276, 0.14104631539300477,
-      0.20697375990463268,
-    ],
-    [
-      0.12811529493745266, 0.15375524488006276, 0.2456520156739821,
-      -0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, 0.18423148972771453, -0.2282177322938192,
-      -0.018662812288217916,
-    ],
-    [
-      0.12811529493745266, 0.18423148972771453, -0.17591488215333057,
-      -0.1465796306886411,
-    ],
-    [
-      0.12811529493745266, 0.18423148972771453, -0.03898424277703902,
-      0.2256365721928506,
-    ],
-    [
-      0.12811529493745266, 0.18423148972771453, 0.0979463965992525,
-      0.20697375990463268,
-    ],
-    [
-      0.12811529493745266, 0.18423148972771453, 0.13027133569456673,
-      -0.18831094761641476,
-    ],
-    [
-      0.12811529493745266, 0.18423148972771453, 0.21489912493036956,
-      -0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, 0.2640193345883307, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      0.12811529493745266, 0.2640193345883307, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      0.12811529493745266, 0.2640193345883307, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, 0.28285468975364336, -0.07385280953736481,
-      -0.03019706460799578,
-    ],
-    [
-      0.12811529493745266, 0.28285468975364336, 0.010774979698438068,
-      0.07905694150420947,
-    ],
-    [
-      0.12811529493745266, 0.28285468975364336, 0.06307782983892674,
-      -0.0488598768962137,
-    ],
-    [
-      0.13819660112501053, -0.2581988897471611, -0.13027133569456673,
-      -0.007128559968440045,
-    ],
-    [
-      0.13819660112501053, -0.2581988897471611, -0.0979463965992525,
-      -0.08618550147264953,
-    ],
-    [
-      0.13819660112501053, -0.2581988897471611, -0.025665635413589384,
-      0.12791681840042318,
-    ],
-    [
-      0.13819660112501053, -0.2581988897471611, 0.05896215382221348,
-      0.11638256608064532,
-    ],
-    [
-      0.13819660112501053, -0.2581988897471611, 0.07130918187235323,
-      -0.10925400611220526,
-    ],
-    [
-      0.13819660112501053, -0.2581988897471611, 0.12361203201284189,
-      -0.041731316927773654,
-    ],
-    [
-      0.13819660112501053, -0.20888728973419673, -0.20000846921521825,
-      -0.007128559968440045,
-    ],
-    [
-      0.13819660112501053, -0.20888728973419673, -0.14770561907472962,
-      -0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, -0.20888728973419673, -0.04309991879375227,
-      0.1954395075848548,
-    ],
-    [
-      0.13819660112501053, -0.20888728973419673, 0.09383072058253925,
-      0.17677669529663687,
-    ],
-    [
-      0.13819660112501053, -0.20888728973419673, 0.10617774863267901,
-      -0.16964813532819684,
-    ],
-    [
-      0.13819660112501053, -0.20888728973419673, 0.19080553786848187,
-      -0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      0.13819660112501053, -0.11026408970826793, -0.23487703597554405,
-      0.12791681840042318,
-    ],
-    [
-      0.13819660112501053, -0.11026408970826793, -0.18257418583505536,
-      0.1954395075848548,
-    ],
-    [
-      0.13819660112501053, -0.11026408970826793, -0.07796848555407804,
-      -0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, -0.11026408970826793, 0.006659303681724819,
-      -0.26736788912062426,
-    ],
-    [
-      0.13819660112501053, -0.11026408970826793, 0.2282177322938192,
-      0.13945107072020108,
-    ],
-    [
-      0.13819660112501053, -0.11026408970826793, 0.26054267138913345,
-      0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, -0.030476244847651754, -0.26308629905414493,
-      0.11638256608064532,
-    ],
-    [
-      0.13819660112501053, -0.030476244847651754, -0.1784585098183421,
-      0.2256365721928506,
-    ],
-    [
-      0.13819660112501053, -0.030476244847651754, -0.10617774863267901,
-      -0.26736788912062426,
-    ],
-    [
-      0.13819660112501053, -0.030476244847651754, 0.030752890743612524,
-      -0.2860307014088421,
-    ],
-    [
-      0.13819660112501053, -0.030476244847651754, 0.23233340831053245,
-      0.16964813532819684,
-    ],
-    [
-      0.13819660112501053, -0.030476244847651754, 0.28463625845102114,
-      0.041731316927773654,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.2672019750708582,
-      -0.10925400611220526,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.03898424277703902,
-      0.2860307014088421,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.2282177322938192,
-      -0.17677669529663687,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.2282177322938192,
-      0.17677669529663687,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.03898424277703902,
-      -0.2860307014088421,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.2672019750708582,
-      0.10925400611220526,
-    ],
-    [
-      0.13819660112501053, 0.030476244847651754, -0.28463625845102114,
-      -0.041731316927773654,
-    ],
-    [
-      0.13819660112501053, 0.030476244847651754, -0.23233340831053245,
-      -0.16964813532819684,
-    ],
-    [
-      0.13819660112501053, 0.030476244847651754, -0.030752890743612524,
-      0.2860307014088421,
-    ],
-    [
-      0.13819660112501053, 0.030476244847651754, 0.10617774863267901,
-      0.26736788912062426,
-    ],
-    [
-      0.13819660112501053, 0.030476244847651754, 0.1784585098183421,
-      -0.2256365721928506,
-    ],
-    [
-      0.13819660112501053, 0.030476244847651754, 0.26308629905414493,
-      -0.11638256608064532,
-    ],
-    [
-      0.13819660112501053, 0.11026408970826793, -0.26054267138913345,
-      -0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, 0.11026408970826793, -0.2282177322938192,
-      -0.13945107072020108,
-    ],
-    [
-      0.13819660112501053, 0.11026408970826793, -0.006659303681724819,
-      0.26736788912062426,
-    ],
-    [
-      0.13819660112501053, 0.11026408970826793, 0.07796848555407804,
-      0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, 0.11026408970826793, 0.18257418583505536,
-      -0.1954395075848548,
-    ],
-    [
-      0.13819660112501053, 0.11026408970826793, 0.23487703597554405,
-      -0.12791681840042318,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      0.13819660112501053, 0.20888728973419673, -0.19080553786848187,
-      0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, 0.20888728973419673, -0.10617774863267901,
-      0.16964813532819684,
-    ],
-    [
-      0.13819660112501053, 0.20888728973419673, -0.09383072058253925,
-      -0.17677669529663687,
-    ],
-    [
-      0.13819660112501053, 0.20888728973419673, 0.04309991879375227,
-      -0.1954395075848548,
-    ],
-    [
-      0.13819660112501053, 0.20888728973419673, 0.14770561907472962,
-      0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, 0.20888728973419673, 0.20000846921521825,
-      0.007128559968440045,
-    ],
-    [
-      0.13819660112501053, 0.2581988897471611, -0.12361203201284189,
-      0.041731316927773654,
-    ],
-    [
-      0.13819660112501053, 0.2581988897471611, -0.07130918187235323,
-      0.10925400611220526,
-    ],
-    [
-      0.13819660112501053, 0.2581988897471611, -0.05896215382221348,
-      -0.11638256608064532,
-    ],
-    [
-      0.13819660112501053, 0.2581988897471611, 0.025665635413589384,
-      -0.12791681840042318,
-    ],
-    [
-      0.13819660112501053, 0.2581988897471611, 0.0979463965992525,
-      0.08618550147264953,
-    ],
-    [
-      0.13819660112501053, 0.2581988897471611, 0.13027133569456673,
-      0.007128559968440045,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, -0.08462778923580286,
-      0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, -0.05230285014048866,
-      -0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, -0.03232493909531421,
-      0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, 0.03232493909531421,
-      -0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, 0.05230285014048866,
-      0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, -0.2676165673298174, 0.08462778923580286,
-      -0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, -0.24878121216450483, -0.12361203201284189,
-      0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, -0.24878121216450483, -0.07130918187235323,
-      0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, -0.24878121216450483, -0.05896215382221348,
-      -0.11638256608064532,
-    ],
-    [
-      0.15450849718747373, -0.24878121216450483, 0.025665635413589384,
-      -0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, -0.24878121216450483, 0.0979463965992525,
-      0.08618550147264953,
-    ],
-    [
-      0.15450849718747373, -0.24878121216450483, 0.13027133569456673,
-      0.007128559968440045,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, -0.19334916553349346,
-      0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, -0.10872137629769058,
-      -0.16524244297685903,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, -0.08874346525251611,
-      0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, 0.060534202173915155,
-      -0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, 0.13281496335957826,
-      0.1465796306886411,
-    ],
-    [
-      0.15450849718747373, -0.1994696121515404, 0.19746484155020672,
-      -0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, -0.16899336730388864, -0.22410205627710594,
-      0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, -0.16899336730388864, -0.15182129509144282,
-      -0.16524244297685903,
-    ],
-    [
-      0.15450849718747373, -0.16899336730388864, -0.06719350585563999,
-      0.2141023198730727,
-    ],
-    [
-      0.15450849718747373, -0.16899336730388864, 0.10206207261596575,
-      -0.1998451999361926,
-    ],
-    [
-      0.15450849718747373, -0.16899336730388864, 0.12203998366114022,
-      0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, -0.16899336730388864, 0.2190148009470828,
-      -0.0488598768962137,
-    ],
-    [
-      0.15450849718747373, -0.150158012138576, -0.2107834489136563,
-      0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, -0.150158012138576, -0.15848059877316767,
-      0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, -0.150158012138576, -0.07385280953736481,
-      -0.2256365721928506,
-    ],
-    [
-      0.15450849718747373, -0.150158012138576, 0.010774979698438068,
-      -0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, -0.150158012138576, 0.20000846921521825,
-      0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, -0.150158012138576, 0.23233340831053245,
-      0.0488598768962137,
-    ],
-    [
-      0.15450849718747373, -0.13851712245623687, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, -0.13851712245623687, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      0.15450849718747373, -0.13851712245623687, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, -0.13851712245623687, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, -0.13851712245623687, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      0.15450849718747373, -0.13851712245623687, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, -0.11968176729092425, -0.24153633965726884,
-      0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, -0.11968176729092425, -0.13693063937629152,
-      0.2141023198730727,
-    ],
-    [
-      0.15450849718747373, -0.11968176729092425, -0.11695272833111708,
-      -0.2256365721928506,
-    ],
-    [
-      0.15450849718747373, -0.11968176729092425, 0.05230285014048866,
-      -0.24870507683240634,
-    ],
-    [
-      0.15450849718747373, -0.11968176729092425, 0.1892334895167802,
-      0.16964813532819684,
-    ],
-    [
-      0.15450849718747373, -0.11968176729092425, 0.2538833677074086,
-      0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, -0.05872927759562073, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, -0.05872927759562073, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, -0.05872927759562073, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      0.15450849718747373, -0.05872927759562073, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      0.15450849718747373, -0.05872927759562073, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, -0.05872927759562073, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      0.15450849718747373, -0.03989392243030808, -0.2697456027358698,
-      0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, -0.03989392243030808, -0.14516199140971803,
-      -0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, -0.03989392243030808, -0.13281496335957826,
-      0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, -0.03989392243030808, 0.07639643720237638,
-      -0.26736788912062426,
-    ],
-    [
-      0.15450849718747373, -0.03989392243030808, 0.19334916553349346,
-      0.1998451999361926,
-    ],
-    [
-      0.15450849718747373, -0.03989392243030808, 0.2779769547692963,
-      -0.007128559968440045,
-    ],
-    [
-      0.15450849718747373, -0.009417677582656322, -0.2805205824343079,
-      -0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, -0.009417677582656322, -0.20823982124864476,
-      -0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, -0.009417677582656322, -0.05896215382221348,
-      0.27449644908906423,
-    ],
-    [
-      0.15450849718747373, -0.009417677582656322, 0.13027133569456673,
-      0.24870507683240634,
-    ],
-    [
-      0.15450849718747373, -0.009417677582656322, 0.15024924673974116,
-      -0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, -0.009417677582656322, 0.2672019750708582,
-      -0.08618550147264953,
-    ],
-    [
-      0.15450849718747373, 0.009417677582656322, -0.2672019750708582,
-      0.08618550147264953,
-    ],
-    [
-      0.15450849718747373, 0.009417677582656322, -0.15024924673974116,
-      0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, 0.009417677582656322, -0.13027133569456673,
-      -0.24870507683240634,
-    ],
-    [
-      0.15450849718747373, 0.009417677582656322, 0.05896215382221348,
-      -0.27449644908906423,
-    ],
-    [
-      0.15450849718747373, 0.009417677582656322, 0.20823982124864476,
-      0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, 0.009417677582656322, 0.2805205824343079,
-      0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, 0.03989392243030808, -0.2779769547692963,
-      0.007128559968440045,
-    ],
-    [
-      0.15450849718747373, 0.03989392243030808, -0.19334916553349346,
-      -0.1998451999361926,
-    ],
-    [
-      0.15450849718747373, 0.03989392243030808, -0.07639643720237638,
-      0.26736788912062426,
-    ],
-    [
-      0.15450849718747373, 0.03989392243030808, 0.13281496335957826,
-      -0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, 0.03989392243030808, 0.14516199140971803,
-      0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, 0.03989392243030808, 0.2697456027358698,
-      -0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, 0.05872927759562073, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      0.15450849718747373, 0.05872927759562073, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, 0.05872927759562073, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      0.15450849718747373, 0.05872927759562073, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      0.15450849718747373, 0.05872927759562073, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, 0.05872927759562073, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, 0.11968176729092425, -0.2538833677074086,
-      -0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, 0.11968176729092425, -0.1892334895167802,
-      -0.16964813532819684,
-    ],
-    [
-      0.15450849718747373, 0.11968176729092425, -0.05230285014048866,
-      0.24870507683240634,
-    ],
-    [
-      0.15450849718747373, 0.11968176729092425, 0.11695272833111708,
-      0.2256365721928506,
-    ],
-    [
-      0.15450849718747373, 0.11968176729092425, 0.13693063937629152,
-      -0.2141023198730727,
-    ],
-    [
-      0.15450849718747373, 0.11968176729092425, 0.24153633965726884,
-      -0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, 0.13851712245623687, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, 0.13851712245623687, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      0.15450849718747373, 0.13851712245623687, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, 0.13851712245623687, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      0.15450849718747373, 0.13851712245623687, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      0.15450849718747373, 0.13851712245623687, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, 0.150158012138576, -0.23233340831053245,
-      -0.0488598768962137,
-    ],
-    [
-      0.15450849718747373, 0.150158012138576, -0.20000846921521825,
-      -0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, 0.150158012138576, -0.010774979698438068,
-      0.23717082451262844,
-    ],
-    [
-      0.15450849718747373, 0.150158012138576, 0.07385280953736481,
-      0.2256365721928506,
-    ],
-    [
-      0.15450849718747373, 0.150158012138576, 0.15848059877316767,
-      -0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, 0.150158012138576, 0.2107834489136563,
-      -0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, 0.16899336730388864, -0.2190148009470828,
-      0.0488598768962137,
-    ],
-    [
-      0.15450849718747373, 0.16899336730388864, -0.12203998366114022,
-      -0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, 0.16899336730388864, -0.10206207261596575,
-      0.1998451999361926,
-    ],
-    [
-      0.15450849718747373, 0.16899336730388864, 0.06719350585563999,
-      -0.2141023198730727,
-    ],
-    [
-      0.15450849718747373, 0.16899336730388864, 0.15182129509144282,
-      0.16524244297685903,
-    ],
-    [
-      0.15450849718747373, 0.16899336730388864, 0.22410205627710594,
-      -0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, -0.19746484155020672,
-      0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, -0.13281496335957826,
-      -0.1465796306886411,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, -0.060534202173915155,
-      0.18831094761641476,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, 0.08874346525251611,
-      -0.17677669529663687,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, 0.10872137629769058,
-      0.16524244297685903,
-    ],
-    [
-      0.15450849718747373, 0.1994696121515404, 0.19334916553349346,
-      -0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, 0.24878121216450483, -0.13027133569456673,
-      -0.007128559968440045,
-    ],
-    [
-      0.15450849718747373, 0.24878121216450483, -0.0979463965992525,
-      -0.08618550147264953,
-    ],
-    [
-      0.15450849718747373, 0.24878121216450483, -0.025665635413589384,
-      0.12791681840042318,
-    ],
-    [
-      0.15450849718747373, 0.24878121216450483, 0.05896215382221348,
-      0.11638256608064532,
-    ],
-    [
-      0.15450849718747373, 0.24878121216450483, 0.07130918187235323,
-      -0.10925400611220526,
-    ],
-    [
-      0.15450849718747373, 0.24878121216450483, 0.12361203201284189,
-      -0.041731316927773654,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, -0.08462778923580286,
-      0.01153425231977787,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, -0.05230285014048866,
-      -0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, -0.03232493909531421,
-      0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, 0.03232493909531421,
-      -0.07905694150420947,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, 0.05230285014048866,
-      0.0675226891844316,
-    ],
-    [
-      0.15450849718747373, 0.2676165673298174, 0.08462778923580286,
-      -0.01153425231977787,
-    ],
-    [
-      0.16458980337503154, -0.24296076732333527, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      0.16458980337503154, -0.24296076732333527, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, -0.24296076732333527, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      0.16458980337503154, -0.22412541215802262, -0.15848059877316767,
-      -0.018662812288217916,
-    ],
-    [
-      0.16458980337503154, -0.22412541215802262, -0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, -0.22412541215802262, -0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      0.16458980337503154, -0.22412541215802262, 0.06307782983892674,
-      0.1465796306886411,
-    ],
-    [
-      0.16458980337503154, -0.22412541215802262, 0.09540276893424093,
-      -0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, -0.22412541215802262, 0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      0.16458980337503154, -0.19364916731037085, -0.1892334895167802,
-      -0.0488598768962137,
-    ],
-    [
-      0.16458980337503154, -0.19364916731037085, -0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [0.16458980337503154, -0.19364916731037085, 0.0, 0.1954395075848548],
-    [
-      0.16458980337503154, -0.19364916731037085, 0.05230285014048866,
-      0.18831094761641476,
-    ],
-    [
-      0.16458980337503154, -0.19364916731037085, 0.13693063937629152,
-      -0.13945107072020108,
-    ],
-    [
-      0.16458980337503154, -0.19364916731037085, 0.16925557847160572,
-      -0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, -0.09502596728444204, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.16458980337503154, -0.09502596728444204, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.16458980337503154, -0.09502596728444204, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, -0.06454972243679027, -0.23487703597554405,
-      0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, -0.06454972243679027, -0.18257418583505536,
-      0.1954395075848548,
-    ],
-    [
-      0.16458980337503154, -0.06454972243679027, -0.07796848555407804,
-      -0.25583363680084636,
-    ],
-    [
-      0.16458980337503154, -0.06454972243679027, 0.006659303681724819,
-      -0.26736788912062426,
-    ],
-    [
-      0.16458980337503154, -0.06454972243679027, 0.2282177322938192,
-      0.13945107072020108,
-    ],
-    [
-      0.16458980337503154, -0.06454972243679027, 0.26054267138913345,
-      0.06039412921599156,
-    ],
-    [
-      0.16458980337503154, -0.015238122423825877, -0.23233340831053245,
-      0.1465796306886411,
-    ],
-    [
-      0.16458980337503154, -0.015238122423825877, -0.20000846921521825,
-      0.18831094761641476,
-    ],
-    [
-      0.16458980337503154, -0.015238122423825877, -0.06307782983892674,
-      -0.26736788912062426,
-    ],
-    [
-      0.16458980337503154, -0.015238122423825877, -0.010774979698438068,
-      -0.27449644908906423,
-    ],
-    [
-      0.16458980337503154, -0.015238122423825877, 0.24310838800897056,
-      0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, -0.015238122423825877, 0.26308629905414493,
-      0.07905694150420947,
-    ],
-    [
-      0.16458980337503154, 0.015238122423825877, -0.26308629905414493,
-      -0.07905694150420947,
-    ],
-    [
-      0.16458980337503154, 0.015238122423825877, -0.24310838800897056,
-      -0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, 0.015238122423825877, 0.010774979698438068,
-      0.27449644908906423,
-    ],
-    [
-      0.16458980337503154, 0.015238122423825877, 0.06307782983892674,
-      0.26736788912062426,
-    ],
-    [
-      0.16458980337503154, 0.015238122423825877, 0.20000846921521825,
-      -0.18831094761641476,
-    ],
-    [
-      0.16458980337503154, 0.015238122423825877, 0.23233340831053245,
-      -0.1465796306886411,
-    ],
-    [
-      0.16458980337503154, 0.06454972243679027, -0.26054267138913345,
-      -0.06039412921599156,
-    ],
-    [
-      0.16458980337503154, 0.06454972243679027, -0.2282177322938192,
-      -0.13945107072020108,
-    ],
-    [
-      0.16458980337503154, 0.06454972243679027, -0.006659303681724819,
-      0.26736788912062426,
-    ],
-    [
-      0.16458980337503154, 0.06454972243679027, 0.07796848555407804,
-      0.25583363680084636,
-    ],
-    [
-      0.16458980337503154, 0.06454972243679027, 0.18257418583505536,
-      -0.1954395075848548,
-    ],
-    [
-      0.16458980337503154, 0.06454972243679027, 0.23487703597554405,
-      -0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, 0.09502596728444204, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, 0.09502596728444204, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.16458980337503154, 0.09502596728444204, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.16458980337503154, 0.19364916731037085, -0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, 0.19364916731037085, -0.13693063937629152,
-      0.13945107072020108,
-    ],
-    [
-      0.16458980337503154, 0.19364916731037085, -0.05230285014048866,
-      -0.18831094761641476,
-    ],
-    [0.16458980337503154, 0.19364916731037085, 0.0, -0.1954395075848548],
-    [
-      0.16458980337503154, 0.19364916731037085, 0.16925557847160572,
-      0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, 0.19364916731037085, 0.1892334895167802,
-      0.0488598768962137,
-    ],
-    [
-      0.16458980337503154, 0.22412541215802262, -0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      0.16458980337503154, 0.22412541215802262, -0.09540276893424093,
-      0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, 0.22412541215802262, -0.06307782983892674,
-      -0.1465796306886411,
-    ],
-    [
-      0.16458980337503154, 0.22412541215802262, 0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      0.16458980337503154, 0.22412541215802262, 0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      0.16458980337503154, 0.22412541215802262, 0.15848059877316767,
-      0.018662812288217916,
-    ],
-    [
-      0.16458980337503154, 0.24296076732333527, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      0.16458980337503154, 0.24296076732333527, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      0.16458980337503154, 0.24296076732333527, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      0.18090169943749473, -0.2523784449059916, -0.07385280953736481,
-      -0.03019706460799578,
-    ],
-    [
-      0.18090169943749473, -0.2523784449059916, 0.010774979698438068,
-      0.07905694150420947,
-    ],
-    [
-      0.18090169943749473, -0.2523784449059916, 0.06307782983892674,
-      -0.0488598768962137,
-    ],
-    [
-      0.18090169943749473, -0.2147077345753663, -0.15182129509144282,
-      0.03019706460799578,
-    ],
-    [
-      0.18090169943749473, -0.2147077345753663, -0.08717141690081442,
-      -0.12791681840042318,
-    ],
-    [
-      0.18090169943749473, -0.2147077345753663, -0.06719350585563999,
-      0.13945107072020108,
-    ],
-    [
-      0.18090169943749473, -0.2147077345753663, 0.049759222475477094,
-      -0.1465796306886411,
-    ],
-    [
-      0.18090169943749473, -0.2147077345753663, 0.10206207261596575,
-      0.11638256608064532,
-    ],
-    [
-      0.18090169943749473, -0.2147077345753663, 0.15436492275645441,
-      -0.01153425231977787,
-    ],
-    [
-      0.18090169943749473, -0.15375524488006276, -0.2133270765786679,
-      -0.03019706460799578,
-    ],
-    [
-      0.18090169943749473, -0.15375524488006276, -0.17337125448831897,
-      -0.12791681840042318,
-    ],
-    [
-      0.18090169943749473, -0.15375524488006276, -0.024093587061887703,
-      0.2141023198730727,
-    ],
-    [
-      0.18090169943749473, -0.15375524488006276, 0.0805121132190896,
-      0.1998451999361926,
-    ],
-    [
-      0.18090169943749473, -0.15375524488006276, 0.13281496335957826,
-      -0.16964813532819684,
-    ],
-    [
-      0.18090169943749473, -0.15375524488006276, 0.19746484155020672,
-      -0.08618550147264953,
-    ],
-    [
-      0.18090169943749473, -0.1349198897147501, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      0.18090169943749473, -0.1349198897147501, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      0.18090169943749473, -0.1349198897147501, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      0.18090169943749473, -0.0739674000194466, -0.24153633965726884,
-      0.07905694150420947,
-    ],
-    [
-      0.18090169943749473, -0.0739674000194466, -0.13693063937629152,
-      0.2141023198730727,
-    ],
-    [
-      0.18090169943749473, -0.0739674000194466, -0.11695272833111708,
-      -0.2256365721928506,
-    ],
-    [
-      0.18090169943749473, -0.0739674000194466, 0.05230285014048866,
-      -0.24870507683240634,
-    ],
-    [
-      0.18090169943749473, -0.0739674000194466, 0.1892334895167802,
-      0.16964813532819684,
-    ],
-    [
-      0.18090169943749473, -0.0739674000194466, 0.2538833677074086,
-      0.01153425231977787,
-    ],
-    [
-      0.18090169943749473, -0.024655800006482202, -0.2589706230374318,
-      -0.0488598768962137,
-    ],
-    [
-      0.18090169943749473, -0.024655800006482202, -0.2190148009470828,
-      -0.1465796306886411,
-    ],
-    [
-      0.18090169943749473, -0.024655800006482202, -0.01743428338016289,
-      0.26296219676928645,
-    ],
-    [
-      0.18090169943749473, -0.024655800006482202, 0.08717141690081442,
-      0.24870507683240634,
-    ],
-    [
-      0.18090169943749473, -0.024655800006482202, 0.1717992061366173,
-      -0.1998451999361926,
-    ],
-    [
-      0.18090169943749473, -0.024655800006482202, 0.2364490843272457,
-      -0.11638256608064532,
-    ],
-    [
-      0.18090169943749473, 0.024655800006482202, -0.2364490843272457,
-      0.11638256608064532,
-    ],
-    [
-      0.18090169943749473, 0.024655800006482202, -0.1717992061366173,
-      0.1998451999361926,
-    ],
-    [
-      0.18090169943749473, 0.024655800006482202, -0.08717141690081442,
-      -0.24870507683240634,
-    ],
-    [
-      0.18090169943749473, 0.024655800006482202, 0.01743428338016289,
-      -0.26296219676928645,
-    ],
-    [
-      0.18090169943749473, 0.024655800006482202, 0.2190148009470828,
-      0.1465796306886411,
-    ],
-    [
-      0.18090169943749473, 0.024655800006482202, 0.2589706230374318,
-      0.0488598768962137,
-    ],
-    [
-      0.18090169943749473, 0.0739674000194466, -0.2538833677074086,
-      -0.01153425231977787,
-    ],
-    [
-      0.18090169943749473, 0.0739674000194466, -0.1892334895167802,
-      -0.16964813532819684,
-    ],
-    [
-      0.18090169943749473, 0.0739674000194466, -0.05230285014048866,
-      0.24870507683240634,
-    ],
-    [
-      0.18090169943749473, 0.0739674000194466, 0.11695272833111708,
-      0.2256365721928506,
-    ],
-    [
-      0.18090169943749473, 0.0739674000194466, 0.13693063937629152,
-      -0.2141023198730727,
-    ],
-    [
-      0.18090169943749473, 0.0739674000194466, 0.24153633965726884,
-      -0.07905694150420947,
-    ],
-    [
-      0.18090169943749473, 0.1349198897147501, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      0.18090169943749473, 0.1349198897147501, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      0.18090169943749473, 0.1349198897147501, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      0.18090169943749473, 0.15375524488006276, -0.19746484155020672,
-      0.08618550147264953,
-    ],
-    [
-      0.18090169943749473, 0.15375524488006276, -0.13281496335957826,
-      0.16964813532819684,
-    ],
-    [
-      0.18090169943749473, 0.15375524488006276, -0.0805121132190896,
-      -0.1998451999361926,
-    ],
-    [
-      0.18090169943749473, 0.15375524488006276, 0.024093587061887703,
-      -0.2141023198730727,
-    ],
-    [
-      0.18090169943749473, 0.15375524488006276, 0.17337125448831897,
-      0.12791681840042318,
-    ],
-    [
-      0.18090169943749473, 0.15375524488006276, 0.2133270765786679,
-      0.03019706460799578,
-    ],
-    [
-      0.18090169943749473, 0.2147077345753663, -0.15436492275645441,
-      0.01153425231977787,
-    ],
-    [
-      0.18090169943749473, 0.2147077345753663, -0.10206207261596575,
-      -0.11638256608064532,
-    ],
-    [
-      0.18090169943749473, 0.2147077345753663, -0.049759222475477094,
-      0.1465796306886411,
-    ],
-    [
-      0.18090169943749473, 0.2147077345753663, 0.06719350585563999,
-      -0.13945107072020108,
-    ],
-    [
-      0.18090169943749473, 0.2147077345753663, 0.08717141690081442,
-      0.12791681840042318,
-    ],
-    [
-      0.18090169943749473, 0.2147077345753663, 0.15182129509144282,
-      -0.03019706460799578,
-    ],
-    [
-      0.18090169943749473, 0.2523784449059916, -0.06307782983892674,
-      0.0488598768962137,
-    ],
-    [
-      0.18090169943749473, 0.2523784449059916, -0.010774979698438068,
-      -0.07905694150420947,
-    ],
-    [
-      0.18090169943749473, 0.2523784449059916, 0.07385280953736481,
-      0.03019706460799578,
-    ],
-    [
-      0.19721359549995793, -0.24296076732333527, -0.06719350585563999,
-      0.018662812288217916,
-    ],
-    [
-      0.19721359549995793, -0.24296076732333527, -0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, -0.24296076732333527, -0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, -0.24296076732333527, 0.01743428338016289,
-      -0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, -0.24296076732333527, 0.049759222475477094,
-      0.0488598768962137,
-    ],
-    [0.19721359549995793, -0.24296076732333527, 0.06973713352065156, 0.0],
-    [
-      0.19721359549995793, -0.22412541215802262, -0.10617774863267901,
-      0.0488598768962137,
-    ],
-    [
-      0.19721359549995793, -0.22412541215802262, -0.07385280953736481,
-      0.09059119382398736,
-    ],
-    [
-      0.19721359549995793, -0.22412541215802262, -0.0415278704420506,
-      -0.10925400611220526,
-    ],
-    [
-      0.19721359549995793, -0.22412541215802262, 0.010774979698438068,
-      -0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, -0.22412541215802262, 0.09540276893424093,
-      0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, -0.22412541215802262, 0.1153806799794154,
-      0.018662812288217916,
-    ],
-    [
-      0.19721359549995793, -0.1748138121450582, -0.17591488215333057,
-      0.0488598768962137,
-    ],
-    [
-      0.19721359549995793, -0.1748138121450582, -0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, -0.1748138121450582, -0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, -0.1748138121450582, 0.04564354645876384,
-      -0.17677669529663687,
-    ],
-    [
-      0.19721359549995793, -0.1748138121450582, 0.13027133569456673,
-      0.12791681840042318,
-    ],
-    [0.19721359549995793, -0.1748138121450582, 0.18257418583505536, 0.0],
-    [
-      0.19721359549995793, -0.14433756729740643, -0.2066677728969431,
-      0.018662812288217916,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, -0.1866898618517686,
-      0.09059119382398736,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, -0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, -0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, -0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, -0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, 0.01489065571515132,
-      -0.20697375990463268,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, 0.08717141690081442,
-      -0.18831094761641476,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, 0.11949635599612865,
-      0.16964813532819684,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, 0.1717992061366173,
-      0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, 0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      0.19721359549995793, -0.14433756729740643, 0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, -0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, -0.19746484155020672,
-      -0.10925400611220526,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, 0.004115676016713249,
-      0.2256365721928506,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, 0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, 0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, -0.11386132244975469, 0.19334916553349346,
-      -0.11638256608064532,
-    ],
-    [0.19721359549995793, -0.11386132244975469, 0.22567410462880766, 0.0],
-    [
-      0.19721359549995793, -0.06454972243679027, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, -0.06454972243679027, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, -0.06454972243679027, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      0.19721359549995793, -0.06454972243679027, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      0.19721359549995793, -0.06454972243679027, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      0.19721359549995793, -0.06454972243679027, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      0.19721359549995793, -0.03407347758913852, -0.2456520156739821,
-      0.0488598768962137,
-    ],
-    [
-      0.19721359549995793, -0.03407347758913852, -0.14104631539300477,
-      -0.20697375990463268,
-    ],
-    [
-      0.19721359549995793, -0.03407347758913852, -0.10872137629769058,
-      0.2256365721928506,
-    ],
-    [
-      0.19721359549995793, -0.03407347758913852, 0.0805121132190896,
-      -0.23717082451262844,
-    ],
-    [
-      0.19721359549995793, -0.03407347758913852, 0.16513990245489246,
-      0.18831094761641476,
-    ],
-    [
-      0.19721359549995793, -0.03407347758913852, 0.24976769169069535,
-      -0.018662812288217916,
-    ],
-    [0.19721359549995793, -0.015238122423825877, -0.25231131935570694, 0.0],
-    [
-      0.19721359549995793, -0.015238122423825877, -0.18003055817004382,
-      -0.17677669529663687,
-    ],
-    [
-      0.19721359549995793, -0.015238122423825877, -0.06307782983892674,
-      0.24429938448106847,
-    ],
-    [
-      0.19721359549995793, -0.015238122423825877, 0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, -0.015238122423825877, 0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, -0.015238122423825877, 0.24310838800897056,
-      -0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, 0.015238122423825877, -0.24310838800897056,
-      0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, 0.015238122423825877, -0.12615565967785347,
-      -0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, 0.015238122423825877, -0.12615565967785347,
-      0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, 0.015238122423825877, 0.06307782983892674,
-      -0.24429938448106847,
-    ],
-    [
-      0.19721359549995793, 0.015238122423825877, 0.18003055817004382,
-      0.17677669529663687,
-    ],
-    [0.19721359549995793, 0.015238122423825877, 0.25231131935570694, 0.0],
-    [
-      0.19721359549995793, 0.03407347758913852, -0.24976769169069535,
-      0.018662812288217916,
-    ],
-    [
-      0.19721359549995793, 0.03407347758913852, -0.16513990245489246,
-      -0.18831094761641476,
-    ],
-    [
-      0.19721359549995793, 0.03407347758913852, -0.0805121132190896,
-      0.23717082451262844,
-    ],
-    [
-      0.19721359549995793, 0.03407347758913852, 0.10872137629769058,
-      -0.2256365721928506,
-    ],
-    [
-      0.19721359549995793, 0.03407347758913852, 0.14104631539300477,
-      0.20697375990463268,
-    ],
-    [
-      0.19721359549995793, 0.03407347758913852, 0.2456520156739821,
-      -0.0488598768962137,
-    ],
-    [
-      0.19721359549995793, 0.06454972243679027, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      0.19721359549995793, 0.06454972243679027, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      0.19721359549995793, 0.06454972243679027, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      0.19721359549995793, 0.06454972243679027, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      0.19721359549995793, 0.06454972243679027, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, 0.06454972243679027, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [0.19721359549995793, 0.11386132244975469, -0.22567410462880766, 0.0],
-    [
-      0.19721359549995793, 0.11386132244975469, -0.19334916553349346,
-      0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, -0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, -0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, -0.004115676016713249,
-      -0.2256365721928506,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, 0.19746484155020672,
-      0.10925400611220526,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, 0.11386132244975469, 0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, -0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, -0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, -0.1717992061366173,
-      -0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, -0.11949635599612865,
-      -0.16964813532819684,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, -0.08717141690081442,
-      0.18831094761641476,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, -0.01489065571515132,
-      0.20697375990463268,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, 0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, 0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, 0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, 0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, 0.1866898618517686,
-      -0.09059119382398736,
-    ],
-    [
-      0.19721359549995793, 0.14433756729740643, 0.2066677728969431,
-      -0.018662812288217916,
-    ],
-    [0.19721359549995793, 0.1748138121450582, -0.18257418583505536, 0.0],
-    [
-      0.19721359549995793, 0.1748138121450582, -0.13027133569456673,
-      -0.12791681840042318,
-    ],
-    [
-      0.19721359549995793, 0.1748138121450582, -0.04564354645876384,
-      0.17677669529663687,
-    ],
-    [
-      0.19721359549995793, 0.1748138121450582, 0.09128709291752768,
-      -0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, 0.1748138121450582, 0.09128709291752768,
-      0.15811388300841894,
-    ],
-    [
-      0.19721359549995793, 0.1748138121450582, 0.17591488215333057,
-      -0.0488598768962137,
-    ],
-    [
-      0.19721359549995793, 0.22412541215802262, -0.1153806799794154,
-      -0.018662812288217916,
-    ],
-    [
-      0.19721359549995793, 0.22412541215802262, -0.09540276893424093,
-      -0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, 0.22412541215802262, -0.010774979698438068,
-      0.11638256608064532,
-    ],
-    [
-      0.19721359549995793, 0.22412541215802262, 0.0415278704420506,
-      0.10925400611220526,
-    ],
-    [
-      0.19721359549995793, 0.22412541215802262, 0.07385280953736481,
-      -0.09059119382398736,
-    ],
-    [
-      0.19721359549995793, 0.22412541215802262, 0.10617774863267901,
-      -0.0488598768962137,
-    ],
-    [0.19721359549995793, 0.24296076732333527, -0.06973713352065156, 0.0],
-    [
-      0.19721359549995793, 0.24296076732333527, -0.049759222475477094,
-      -0.0488598768962137,
-    ],
-    [
-      0.19721359549995793, 0.24296076732333527, -0.01743428338016289,
-      0.0675226891844316,
-    ],
-    [
-      0.19721359549995793, 0.24296076732333527, 0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, 0.24296076732333527, 0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      0.19721359549995793, 0.24296076732333527, 0.06719350585563999,
-      -0.018662812288217916,
-    ],
-    [
-      0.2072949016875158, -0.21830496731685306, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.2072949016875158, -0.21830496731685306, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.2072949016875158, -0.21830496731685306, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      0.2072949016875158, -0.1994696121515404, -0.14104631539300477,
-      -0.01153425231977787,
-    ],
-    [
-      0.2072949016875158, -0.1994696121515404, -0.10872137629769058,
-      -0.09059119382398736,
-    ],
-    [
-      0.2072949016875158, -0.1994696121515404, -0.024093587061887703,
-      0.13945107072020108,
-    ],
-    [
-      0.2072949016875158, -0.1994696121515404, 0.060534202173915155,
-      0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, -0.1994696121515404, 0.0805121132190896,
-      -0.11638256608064532,
-    ],
-    [
-      0.2072949016875158, -0.1994696121515404, 0.13281496335957826,
-      -0.0488598768962137,
-    ],
-    [
-      0.2072949016875158, -0.16899336730388864, -0.1717992061366173,
-      -0.041731316927773654,
-    ],
-    [
-      0.2072949016875158, -0.16899336730388864, -0.15182129509144282,
-      -0.09059119382398736,
-    ],
-    [
-      0.2072949016875158, -0.16899336730388864, -0.002543627665011569,
-      0.17677669529663687,
-    ],
-    [
-      0.2072949016875158, -0.16899336730388864, 0.049759222475477094,
-      0.16964813532819684,
-    ],
-    [
-      0.2072949016875158, -0.16899336730388864, 0.12203998366114022,
-      -0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, -0.16899336730388864, 0.15436492275645441,
-      -0.08618550147264953,
-    ],
-    [
-      0.2072949016875158, -0.08920552244327248, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      0.2072949016875158, -0.08920552244327248, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      0.2072949016875158, -0.08920552244327248, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      0.2072949016875158, -0.05872927759562073, -0.2107834489136563,
-      0.10925400611220526,
-    ],
-    [
-      0.2072949016875158, -0.05872927759562073, -0.15848059877316767,
-      0.17677669529663687,
-    ],
-    [
-      0.2072949016875158, -0.05872927759562073, -0.07385280953736481,
-      -0.2256365721928506,
-    ],
-    [
-      0.2072949016875158, -0.05872927759562073, 0.010774979698438068,
-      -0.23717082451262844,
-    ],
-    [
-      0.2072949016875158, -0.05872927759562073, 0.20000846921521825,
-      0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, -0.05872927759562073, 0.23233340831053245,
-      0.0488598768962137,
-    ],
-    [
-      0.2072949016875158, -0.009417677582656322, -0.20823982124864476,
-      0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, -0.009417677582656322, -0.17591488215333057,
-      0.16964813532819684,
-    ],
-    [
-      0.2072949016875158, -0.009417677582656322, -0.05896215382221348,
-      -0.23717082451262844,
-    ],
-    [
-      0.2072949016875158, -0.009417677582656322, -0.006659303681724819,
-      -0.24429938448106847,
-    ],
-    [
-      0.2072949016875158, -0.009417677582656322, 0.21489912493036956,
-      0.11638256608064532,
-    ],
-    [
-      0.2072949016875158, -0.009417677582656322, 0.23487703597554405,
-      0.0675226891844316,
-    ],
-    [
-      0.2072949016875158, 0.009417677582656322, -0.23487703597554405,
-      -0.0675226891844316,
-    ],
-    [
-      0.2072949016875158, 0.009417677582656322, -0.21489912493036956,
-      -0.11638256608064532,
-    ],
-    [
-      0.2072949016875158, 0.009417677582656322, 0.006659303681724819,
-      0.24429938448106847,
-    ],
-    [
-      0.2072949016875158, 0.009417677582656322, 0.05896215382221348,
-      0.23717082451262844,
-    ],
-    [
-      0.2072949016875158, 0.009417677582656322, 0.17591488215333057,
-      -0.16964813532819684,
-    ],
-    [
-      0.2072949016875158, 0.009417677582656322, 0.20823982124864476,
-      -0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, 0.05872927759562073, -0.23233340831053245,
-      -0.0488598768962137,
-    ],
-    [
-      0.2072949016875158, 0.05872927759562073, -0.20000846921521825,
-      -0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, 0.05872927759562073, -0.010774979698438068,
-      0.23717082451262844,
-    ],
-    [
-      0.2072949016875158, 0.05872927759562073, 0.07385280953736481,
-      0.2256365721928506,
-    ],
-    [
-      0.2072949016875158, 0.05872927759562073, 0.15848059877316767,
-      -0.17677669529663687,
-    ],
-    [
-      0.2072949016875158, 0.05872927759562073, 0.2107834489136563,
-      -0.10925400611220526,
-    ],
-    [
-      0.2072949016875158, 0.08920552244327248, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      0.2072949016875158, 0.08920552244327248, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      0.2072949016875158, 0.08920552244327248, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      0.2072949016875158, 0.16899336730388864, -0.15436492275645441,
-      0.08618550147264953,
-    ],
-    [
-      0.2072949016875158, 0.16899336730388864, -0.12203998366114022,
-      0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, 0.16899336730388864, -0.049759222475477094,
-      -0.16964813532819684,
-    ],
-    [
-      0.2072949016875158, 0.16899336730388864, 0.002543627665011569,
-      -0.17677669529663687,
-    ],
-    [
-      0.2072949016875158, 0.16899336730388864, 0.15182129509144282,
-      0.09059119382398736,
-    ],
-    [
-      0.2072949016875158, 0.16899336730388864, 0.1717992061366173,
-      0.041731316927773654,
-    ],
-    [
-      0.2072949016875158, 0.1994696121515404, -0.13281496335957826,
-      0.0488598768962137,
-    ],
-    [
-      0.2072949016875158, 0.1994696121515404, -0.0805121132190896,
-      0.11638256608064532,
-    ],
-    [
-      0.2072949016875158, 0.1994696121515404, -0.060534202173915155,
-      -0.12791681840042318,
-    ],
-    [
-      0.2072949016875158, 0.1994696121515404, 0.024093587061887703,
-      -0.13945107072020108,
-    ],
-    [
-      0.2072949016875158, 0.1994696121515404, 0.10872137629769058,
-      0.09059119382398736,
-    ],
-    [
-      0.2072949016875158, 0.1994696121515404, 0.14104631539300477,
-      0.01153425231977787,
-    ],
-    [
-      0.2072949016875158, 0.21830496731685306, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.2072949016875158, 0.21830496731685306, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.2072949016875158, 0.21830496731685306, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      0.223606797749979, -0.20888728973419673, -0.09540276893424093,
-      0.007128559968440045,
-    ],
-    [
-      0.223606797749979, -0.20888728973419673, -0.06307782983892674,
-      -0.07192838153576944,
-    ],
-    [
-      0.223606797749979, -0.20888728973419673, -0.030752890743612524,
-      0.09059119382398736,
-    ],
-    [
-      0.223606797749979, -0.20888728973419673, 0.0415278704420506,
-      -0.08618550147264953,
-    ],
-    [
-      0.223606797749979, -0.20888728973419673, 0.05387489849219034,
-      0.07905694150420947,
-    ],
-    [
-      0.223606797749979, -0.20888728973419673, 0.09383072058253925,
-      -0.018662812288217916,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, -0.16513990245489246,
-      0.007128559968440045,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, -0.14516199140971803,
-      0.07905694150420947,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, -0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, -0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, -0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, -0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, 0.004115676016713249,
-      -0.16524244297685903,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, 0.07639643720237638,
-      -0.1465796306886411,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, 0.08874346525251611,
-      0.13945107072020108,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, 0.14104631539300477,
-      0.08618550147264953,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, 0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.15957568972123232, 0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.17591488215333057,
-      -0.07192838153576944,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.025665635413589384,
-      0.18831094761641476,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.15024924673974116,
-      -0.11638256608064532,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, -0.2066677728969431,
-      0.018662812288217916,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, -0.1866898618517686,
-      0.09059119382398736,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, -0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, -0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, -0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, -0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, 0.01489065571515132,
-      -0.20697375990463268,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, 0.08717141690081442,
-      -0.18831094761641476,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, 0.11949635599612865,
-      0.16964813532819684,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, 0.1717992061366173,
-      0.11638256608064532,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, 0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.09862320002592881, 0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.07978784486061616, -0.2133270765786679,
-      -0.03019706460799578,
-    ],
-    [
-      0.223606797749979, -0.07978784486061616, -0.17337125448831897,
-      -0.12791681840042318,
-    ],
-    [
-      0.223606797749979, -0.07978784486061616, -0.024093587061887703,
-      0.2141023198730727,
-    ],
-    [
-      0.223606797749979, -0.07978784486061616, 0.0805121132190896,
-      0.1998451999361926,
-    ],
-    [
-      0.223606797749979, -0.07978784486061616, 0.13281496335957826,
-      -0.16964813532819684,
-    ],
-    [
-      0.223606797749979, -0.07978784486061616, 0.19746484155020672,
-      -0.08618550147264953,
-    ],
-    [
-      0.223606797749979, -0.049311600012964404, -0.22410205627710594,
-      0.01153425231977787,
-    ],
-    [
-      0.223606797749979, -0.049311600012964404, -0.15182129509144282,
-      -0.16524244297685903,
-    ],
-    [
-      0.223606797749979, -0.049311600012964404, -0.06719350585563999,
-      0.2141023198730727,
-    ],
-    [
-      0.223606797749979, -0.049311600012964404, 0.10206207261596575,
-      -0.1998451999361926,
-    ],
-    [
-      0.223606797749979, -0.049311600012964404, 0.12203998366114022,
-      0.18831094761641476,
-    ],
-    [
-      0.223606797749979, -0.049311600012964404, 0.2190148009470828,
-      -0.0488598768962137,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, -0.2107834489136563,
-      -0.08618550147264953,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, 0.030752890743612524,
-      0.2256365721928506,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, 0.18003055817004382,
-      -0.13945107072020108,
-    ],
-    [
-      0.223606797749979, -0.018835355165312644, -0.21489912493036956,
-      0.07905694150420947,
-    ],
-    [
-      0.223606797749979, -0.018835355165312644, -0.13027133569456673,
-      0.18831094761641476,
-    ],
-    [
-      0.223606797749979, -0.018835355165312644, -0.0979463965992525,
-      -0.20697375990463268,
-    ],
-    [
-      0.223606797749979, -0.018835355165312644, 0.03898424277703902,
-      -0.2256365721928506,
-    ],
-    [
-      0.223606797749979, -0.018835355165312644, 0.17591488215333057,
-      0.1465796306886411,
-    ],
-    [
-      0.223606797749979, -0.018835355165312644, 0.2282177322938192,
-      0.018662812288217916,
-    ],
-    [
-      0.223606797749979, 0.018835355165312644, -0.2282177322938192,
-      -0.018662812288217916,
-    ],
-    [
-      0.223606797749979, 0.018835355165312644, -0.17591488215333057,
-      -0.1465796306886411,
-    ],
-    [
-      0.223606797749979, 0.018835355165312644, -0.03898424277703902,
-      0.2256365721928506,
-    ],
-    [
-      0.223606797749979, 0.018835355165312644, 0.0979463965992525,
-      0.20697375990463268,
-    ],
-    [
-      0.223606797749979, 0.018835355165312644, 0.13027133569456673,
-      -0.18831094761641476,
-    ],
-    [
-      0.223606797749979, 0.018835355165312644, 0.21489912493036956,
-      -0.07905694150420947,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, -0.18003055817004382,
-      0.13945107072020108,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, -0.030752890743612524,
-      -0.2256365721928506,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, 0.2107834489136563,
-      0.08618550147264953,
-    ],
-    [
-      0.223606797749979, 0.049311600012964404, -0.2190148009470828,
-      0.0488598768962137,
-    ],
-    [
-      0.223606797749979, 0.049311600012964404, -0.12203998366114022,
-      -0.18831094761641476,
-    ],
-    [
-      0.223606797749979, 0.049311600012964404, -0.10206207261596575,
-      0.1998451999361926,
-    ],
-    [
-      0.223606797749979, 0.049311600012964404, 0.06719350585563999,
-      -0.2141023198730727,
-    ],
-    [
-      0.223606797749979, 0.049311600012964404, 0.15182129509144282,
-      0.16524244297685903,
-    ],
-    [
-      0.223606797749979, 0.049311600012964404, 0.22410205627710594,
-      -0.01153425231977787,
-    ],
-    [
-      0.223606797749979, 0.07978784486061616, -0.19746484155020672,
-      0.08618550147264953,
-    ],
-    [
-      0.223606797749979, 0.07978784486061616, -0.13281496335957826,
-      0.16964813532819684,
-    ],
-    [
-      0.223606797749979, 0.07978784486061616, -0.0805121132190896,
-      -0.1998451999361926,
-    ],
-    [
-      0.223606797749979, 0.07978784486061616, 0.024093587061887703,
-      -0.2141023198730727,
-    ],
-    [
-      0.223606797749979, 0.07978784486061616, 0.17337125448831897,
-      0.12791681840042318,
-    ],
-    [
-      0.223606797749979, 0.07978784486061616, 0.2133270765786679,
-      0.03019706460799578,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, -0.2041241452319315,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, -0.2041241452319315,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, -0.1717992061366173,
-      -0.11638256608064532,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, -0.11949635599612865,
-      -0.16964813532819684,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, -0.08717141690081442,
-      0.18831094761641476,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, -0.01489065571515132,
-      0.20697375990463268,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, 0.06973713352065156,
-      -0.1954395075848548,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, 0.06973713352065156,
-      0.1954395075848548,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, 0.13438701171127998,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, 0.13438701171127998,
-      0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, 0.1866898618517686,
-      -0.09059119382398736,
-    ],
-    [
-      0.223606797749979, 0.09862320002592881, 0.2066677728969431,
-      -0.018662812288217916,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.15024924673974116,
-      0.11638256608064532,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.025665635413589384,
-      -0.18831094761641476,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.17591488215333057,
-      0.07192838153576944,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, -0.1610242264381792,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, -0.1610242264381792,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, -0.14104631539300477,
-      -0.08618550147264953,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, -0.08874346525251611,
-      -0.13945107072020108,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, -0.07639643720237638,
-      0.1465796306886411,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, -0.004115676016713249,
-      0.16524244297685903,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, 0.048187174123775406,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, 0.048187174123775406,
-      0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, 0.11283705231440383,
-      -0.12078825843198313,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, 0.11283705231440383,
-      0.12078825843198313,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, 0.14516199140971803,
-      -0.07905694150420947,
-    ],
-    [
-      0.223606797749979, 0.15957568972123232, 0.16513990245489246,
-      -0.007128559968440045,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      0.223606797749979, 0.20888728973419673, -0.09383072058253925,
-      0.018662812288217916,
-    ],
-    [
-      0.223606797749979, 0.20888728973419673, -0.05387489849219034,
-      -0.07905694150420947,
-    ],
-    [
-      0.223606797749979, 0.20888728973419673, -0.0415278704420506,
-      0.08618550147264953,
-    ],
-    [
-      0.223606797749979, 0.20888728973419673, 0.030752890743612524,
-      -0.09059119382398736,
-    ],
-    [
-      0.223606797749979, 0.20888728973419673, 0.06307782983892674,
-      0.07192838153576944,
-    ],
-    [
-      0.223606797749979, 0.20888728973419673, 0.09540276893424093,
-      -0.007128559968440045,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [0.25, -0.19364916731037085, -0.05230285014048866, 0.007128559968440045],
-    [0.25, -0.19364916731037085, -0.03232493909531421, -0.041731316927773654],
-    [0.25, -0.19364916731037085, -0.019977911045174455, 0.0488598768962137],
-    [0.25, -0.19364916731037085, 0.019977911045174455, -0.0488598768962137],
-    [0.25, -0.19364916731037085, 0.03232493909531421, 0.041731316927773654],
-    [0.25, -0.19364916731037085, 0.05230285014048866, -0.007128559968440045],
-    [0.25, -0.1748138121450582, -0.09128709291752768, 0.03732562457643583],
-    [0.25, -0.1748138121450582, -0.05896215382221348, 0.07905694150420947],
-    [0.25, -0.1748138121450582, -0.03898424277703902, -0.09059119382398736],
-    [0.25, -0.1748138121450582, 0.013318607363449638, -0.0977197537924274],
-    [0.25, -0.1748138121450582, 0.07796848555407804, 0.06039412921599156],
-    [0.25, -0.1748138121450582, 0.0979463965992525, 0.01153425231977787],
-    [0.25, -0.14433756729740643, -0.13438701171127998, 0.03732562457643583],
-    [0.25, -0.14433756729740643, -0.06973713352065156, -0.12078825843198313],
-    [0.25, -0.14433756729740643, -0.06973713352065156, 0.12078825843198313],
-    [0.25, -0.14433756729740643, 0.03486856676032578, -0.1350453783688632],
-    [0.25, -0.14433756729740643, 0.09951844495095419, 0.0977197537924274],
-    [0.25, -0.14433756729740643, 0.1394742670413031, 0.0],
-    [0.25, -0.11386132244975469, -0.16513990245489246, 0.007128559968440045],
-    [0.25, -0.11386132244975469, -0.14516199140971803, 0.07905694150420947],
-    [0.25, -0.11386132244975469, -0.11283705231440383, -0.12078825843198313],
-    [0.25, -0.11386132244975469, -0.11283705231440383, 0.12078825843198313],
-    [0.25, -0.11386132244975469, -0.048187174123775406, -0.15811388300841894],
-    [0.25, -0.11386132244975469, -0.048187174123775406, 0.15811388300841894],
-    [0.25, -0.11386132244975469, 0.004115676016713249, -0.16524244297685903],
-    [0.25, -0.11386132244975469, 0.07639643720237638, -0.1465796306886411],
-    [0.25, -0.11386132244975469, 0.08874346525251611, 0.13945107072020108],
-    [0.25, -0.11386132244975469, 0.14104631539300477, 0.08618550147264953],
-    [0.25, -0.11386132244975469, 0.1610242264381792, -0.03732562457643583],
-    [0.25, -0.11386132244975469, 0.1610242264381792, 0.03732562457643583],
-    [0.25, -0.09502596728444204, -0.1717992061366173, -0.041731316927773654],
-    [0.25, -0.09502596728444204, -0.15182129509144282, -0.09059119382398736],
-    [0.25, -0.09502596728444204, -0.002543627665011569, 0.17677669529663687],
-    [0.25, -0.09502596728444204, 0.049759222475477094, 0.16964813532819684],
-    [0.25, -0.09502596728444204, 0.12203998366114022, -0.12791681840042318],
-    [0.25, -0.09502596728444204, 0.15436492275645441, -0.08618550147264953],
-    [0.25, -0.08338507760210292, -0.17591488215333057, 0.0488598768962137],
-    [0.25, -0.08338507760210292, -0.09128709291752768, -0.15811388300841894],
-    [0.25, -0.08338507760210292, -0.09128709291752768, 0.15811388300841894],
-    [0.25, -0.08338507760210292, 0.04564354645876384, -0.17677669529663687],
-    [0.25, -0.08338507760210292, 0.13027133569456673, 0.12791681840042318],
-    [0.25, -0.08338507760210292, 0.18257418583505536, 0.0],
-    [0.25, -0.04571436727147764, -0.1892334895167802, -0.0488598768962137],
-    [0.25, -0.04571436727147764, -0.16925557847160572, -0.0977197537924274],
-    [0.25, -0.04571436727147764, 0.0, 0.1954395075848548],
-    [0.25, -0.04571436727147764, 0.05230285014048866, 0.18831094761641476],
-    [0.25, -0.04571436727147764, 0.13693063937629152, -0.13945107072020108],
-    [0.25, -0.04571436727147764, 0.16925557847160572, -0.0977197537924274],
-    [0.25, -0.03407347758913852, -0.19334916553349346, 0.041731316927773654],
-    [0.25, -0.03407347758913852, -0.10872137629769058, -0.16524244297685903],
-    [0.25, -0.03407347758913852, -0.08874346525251611, 0.17677669529663687],
-    [0.25, -0.03407347758913852, 0.060534202173915155, -0.18831094761641476],
-    [0.25, -0.03407347758913852, 0.13281496335957826, 0.1465796306886411],
-    [0.25, -0.03407347758913852, 0.19746484155020672, -0.01153425231977787],
-    [0.25, -0.015238122423825877, -0.20000846921521825, -0.007128559968440045],
-    [0.25, -0.015238122423825877, -0.14770561907472962, -0.1350453783688632],
-    [0.25, -0.015238122423825877, -0.04309991879375227, 0.1954395075848548],
-    [0.25, -0.015238122423825877, 0.09383072058253925, 0.17677669529663687],
-    [0.25, -0.015238122423825877, 0.10617774863267901, -0.16964813532819684],
-    [0.25, -0.015238122423825877, 0.19080553786848187, -0.06039412921599156],
-    [0.25, 0.015238122423825877, -0.19080553786848187, 0.06039412921599156],
-    [0.25, 0.015238122423825877, -0.10617774863267901, 0.16964813532819684],
-    [0.25, 0.015238122423825877, -0.09383072058253925, -0.17677669529663687],
-    [0.25, 0.015238122423825877, 0.04309991879375227, -0.1954395075848548],
-    [0.25, 0.015238122423825877, 0.14770561907472962, 0.1350453783688632],
-    [0.25, 0.015238122423825877, 0.20000846921521825, 0.007128559968440045],
-    [0.25, 0.03407347758913852, -0.19746484155020672, 0.01153425231977787],
-    [0.25, 0.03407347758913852, -0.13281496335957826, -0.1465796306886411],
-    [0.25, 0.03407347758913852, -0.060534202173915155, 0.18831094761641476],
-    [0.25, 0.03407347758913852, 0.08874346525251611, -0.17677669529663687],
-    [0.25, 0.03407347758913852, 0.10872137629769058, 0.16524244297685903],
-    [0.25, 0.03407347758913852, 0.19334916553349346, -0.041731316927773654],
-    [0.25, 0.04571436727147764, -0.16925557847160572, 0.0977197537924274],
-    [0.25, 0.04571436727147764, -0.13693063937629152, 0.13945107072020108],
-    [0.25, 0.04571436727147764, -0.05230285014048866, -0.18831094761641476],
-    [0.25, 0.04571436727147764, 0.0, -0.1954395075848548],
-    [0.25, 0.04571436727147764, 0.16925557847160572, 0.0977197537924274],
-    [0.25, 0.04571436727147764, 0.1892334895167802, 0.0488598768962137],
-    [0.25, 0.08338507760210292, -0.18257418583505536, 0.0],
-    [0.25, 0.08338507760210292, -0.13027133569456673, -0.12791681840042318],
-    [0.25, 0.08338507760210292, -0.04564354645876384, 0.17677669529663687],
-    [0.25, 0.08338507760210292, 0.09128709291752768, -0.15811388300841894],
-    [0.25, 0.08338507760210292, 0.09128709291752768, 0.15811388300841894],
-    [0.25, 0.08338507760210292, 0.17591488215333057, -0.0488598768962137],
-    [0.25, 0.09502596728444204, -0.15436492275645441, 0.08618550147264953],
-    [0.25, 0.09502596728444204, -0.12203998366114022, 0.12791681840042318],
-    [0.25, 0.09502596728444204, -0.049759222475477094, -0.16964813532819684],
-    [0.25, 0.09502596728444204, 0.002543627665011569, -0.17677669529663687],
-    [0.25, 0.09502596728444204, 0.15182129509144282, 0.09059119382398736],
-    [0.25, 0.09502596728444204, 0.1717992061366173, 0.041731316927773654],
-    [0.25, 0.11386132244975469, -0.1610242264381792, -0.03732562457643583],
-    [0.25, 0.11386132244975469, -0.1610242264381792, 0.03732562457643583],
-    [0.25, 0.11386132244975469, -0.14104631539300477, -0.08618550147264953],
-    [0.25, 0.11386132244975469, -0.08874346525251611, -0.13945107072020108],
-    [0.25, 0.11386132244975469, -0.07639643720237638, 0.1465796306886411],
-    [0.25, 0.11386132244975469, -0.004115676016713249, 0.16524244297685903],
-    [0.25, 0.11386132244975469, 0.048187174123775406, -0.15811388300841894],
-    [0.25, 0.11386132244975469, 0.048187174123775406, 0.15811388300841894],
-    [0.25, 0.11386132244975469, 0.11283705231440383, -0.12078825843198313],
-    [0.25, 0.11386132244975469, 0.11283705231440383, 0.12078825843198313],
-    [0.25, 0.11386132244975469, 0.14516199140971803, -0.07905694150420947],
-    [0.25, 0.11386132244975469, 0.16513990245489246, -0.007128559968440045],
-    [0.25, 0.14433756729740643, -0.1394742670413031, 0.0],
-    [0.25, 0.14433756729740643, -0.09951844495095419, -0.0977197537924274],
-    [0.25, 0.14433756729740643, -0.03486856676032578, 0.1350453783688632],
-    [0.25, 0.14433756729740643, 0.06973713352065156, -0.12078825843198313],
-    [0.25, 0.14433756729740643, 0.06973713352065156, 0.12078825843198313],
-    [0.25, 0.14433756729740643, 0.13438701171127998, -0.03732562457643583],
-    [0.25, 0.1748138121450582, -0.0979463965992525, -0.01153425231977787],
-    [0.25, 0.1748138121450582, -0.07796848555407804, -0.06039412921599156],
-    [0.25, 0.1748138121450582, -0.013318607363449638, 0.0977197537924274],
-    [0.25, 0.1748138121450582, 0.03898424277703902, 0.09059119382398736],
-    [0.25, 0.1748138121450582, 0.05896215382221348, -0.07905694150420947],
-    [0.25, 0.1748138121450582, 0.09128709291752768, -0.03732562457643583],
-    [0.25, 0.19364916731037085, -0.05230285014048866, 0.007128559968440045],
-    [0.25, 0.19364916731037085, -0.03232493909531421, -0.041731316927773654],
-    [0.25, 0.19364916731037085, -0.019977911045174455, 0.0488598768962137],
-    [0.25, 0.19364916731037085, 0.019977911045174455, -0.0488598768962137],
-    [0.25, 0.19364916731037085, 0.03232493909531421, 0.041731316927773654],
-    [0.25, 0.19364916731037085, 0.05230285014048866, -0.007128559968440045],
-    [
-      0.27639320225002106, -0.15957568972123232, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, -0.15957568972123232, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      0.27639320225002106, -0.15957568972123232, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-    [
-      0.27639320225002106, -0.12909944487358055, -0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.27639320225002106, -0.12909944487358055, -0.05896215382221348,
-      0.07905694150420947,
-    ],
-    [
-      0.27639320225002106, -0.12909944487358055, -0.03898424277703902,
-      -0.09059119382398736,
-    ],
-    [
-      0.27639320225002106, -0.12909944487358055, 0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.27639320225002106, -0.12909944487358055, 0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, -0.12909944487358055, 0.0979463965992525,
-      0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      0.27639320225002106, -0.07978784486061616, -0.14104631539300477,
-      -0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, -0.07978784486061616, -0.10872137629769058,
-      -0.09059119382398736,
-    ],
-    [
-      0.27639320225002106, -0.07978784486061616, -0.024093587061887703,
-      0.13945107072020108,
-    ],
-    [
-      0.27639320225002106, -0.07978784486061616, 0.060534202173915155,
-      0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, -0.07978784486061616, 0.0805121132190896,
-      -0.11638256608064532,
-    ],
-    [
-      0.27639320225002106, -0.07978784486061616, 0.13281496335957826,
-      -0.0488598768962137,
-    ],
-    [
-      0.27639320225002106, -0.049311600012964404, -0.15182129509144282,
-      0.03019706460799578,
-    ],
-    [
-      0.27639320225002106, -0.049311600012964404, -0.08717141690081442,
-      -0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, -0.049311600012964404, -0.06719350585563999,
-      0.13945107072020108,
-    ],
-    [
-      0.27639320225002106, -0.049311600012964404, 0.049759222475477094,
-      -0.1465796306886411,
-    ],
-    [
-      0.27639320225002106, -0.049311600012964404, 0.10206207261596575,
-      0.11638256608064532,
-    ],
-    [
-      0.27639320225002106, -0.049311600012964404, 0.15436492275645441,
-      -0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, -0.030476244847651754, -0.15848059877316767,
-      -0.018662812288217916,
-    ],
-    [
-      0.27639320225002106, -0.030476244847651754, -0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      0.27639320225002106, -0.030476244847651754, -0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      0.27639320225002106, -0.030476244847651754, 0.06307782983892674,
-      0.1465796306886411,
-    ],
-    [
-      0.27639320225002106, -0.030476244847651754, 0.09540276893424093,
-      -0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, -0.030476244847651754, 0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, 0.030476244847651754, -0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, 0.030476244847651754, -0.09540276893424093,
-      0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, 0.030476244847651754, -0.06307782983892674,
-      -0.1465796306886411,
-    ],
-    [
-      0.27639320225002106, 0.030476244847651754, 0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      0.27639320225002106, 0.030476244847651754, 0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      0.27639320225002106, 0.030476244847651754, 0.15848059877316767,
-      0.018662812288217916,
-    ],
-    [
-      0.27639320225002106, 0.049311600012964404, -0.15436492275645441,
-      0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, 0.049311600012964404, -0.10206207261596575,
-      -0.11638256608064532,
-    ],
-    [
-      0.27639320225002106, 0.049311600012964404, -0.049759222475477094,
-      0.1465796306886411,
-    ],
-    [
-      0.27639320225002106, 0.049311600012964404, 0.06719350585563999,
-      -0.13945107072020108,
-    ],
-    [
-      0.27639320225002106, 0.049311600012964404, 0.08717141690081442,
-      0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, 0.049311600012964404, 0.15182129509144282,
-      -0.03019706460799578,
-    ],
-    [
-      0.27639320225002106, 0.07978784486061616, -0.13281496335957826,
-      0.0488598768962137,
-    ],
-    [
-      0.27639320225002106, 0.07978784486061616, -0.0805121132190896,
-      0.11638256608064532,
-    ],
-    [
-      0.27639320225002106, 0.07978784486061616, -0.060534202173915155,
-      -0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, 0.07978784486061616, 0.024093587061887703,
-      -0.13945107072020108,
-    ],
-    [
-      0.27639320225002106, 0.07978784486061616, 0.10872137629769058,
-      0.09059119382398736,
-    ],
-    [
-      0.27639320225002106, 0.07978784486061616, 0.14104631539300477,
-      0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      0.27639320225002106, 0.12909944487358055, -0.0979463965992525,
-      -0.01153425231977787,
-    ],
-    [
-      0.27639320225002106, 0.12909944487358055, -0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, 0.12909944487358055, -0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.27639320225002106, 0.12909944487358055, 0.03898424277703902,
-      0.09059119382398736,
-    ],
-    [
-      0.27639320225002106, 0.12909944487358055, 0.05896215382221348,
-      -0.07905694150420947,
-    ],
-    [
-      0.27639320225002106, 0.12909944487358055, 0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.27639320225002106, 0.15957568972123232, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      0.27639320225002106, 0.15957568972123232, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      0.27639320225002106, 0.15957568972123232, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      0.29270509831248426, -0.11968176729092425, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, -0.11968176729092425, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, -0.11968176729092425, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, -0.11968176729092425, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, -0.11968176729092425, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, -0.11968176729092425, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, -0.08920552244327248, -0.09540276893424093,
-      0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, -0.08920552244327248, -0.06307782983892674,
-      -0.07192838153576944,
-    ],
-    [
-      0.29270509831248426, -0.08920552244327248, -0.030752890743612524,
-      0.09059119382398736,
-    ],
-    [
-      0.29270509831248426, -0.08920552244327248, 0.0415278704420506,
-      -0.08618550147264953,
-    ],
-    [
-      0.29270509831248426, -0.08920552244327248, 0.05387489849219034,
-      0.07905694150420947,
-    ],
-    [
-      0.29270509831248426, -0.08920552244327248, 0.09383072058253925,
-      -0.018662812288217916,
-    ],
-    [
-      0.29270509831248426, -0.07037016727795983, -0.10206207261596575,
-      -0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, -0.07037016727795983, 0.01489065571515132,
-      0.10925400611220526,
-    ],
-    [
-      0.29270509831248426, -0.07037016727795983, 0.08717141690081442,
-      -0.0675226891844316,
-    ],
-    [
-      0.29270509831248426, -0.05872927759562073, -0.10617774863267901,
-      0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, -0.05872927759562073, -0.07385280953736481,
-      0.09059119382398736,
-    ],
-    [
-      0.29270509831248426, -0.05872927759562073, -0.0415278704420506,
-      -0.10925400611220526,
-    ],
-    [
-      0.29270509831248426, -0.05872927759562073, 0.010774979698438068,
-      -0.11638256608064532,
-    ],
-    [
-      0.29270509831248426, -0.05872927759562073, 0.09540276893424093,
-      0.0675226891844316,
-    ],
-    [
-      0.29270509831248426, -0.05872927759562073, 0.1153806799794154,
-      0.018662812288217916,
-    ],
-    [
-      0.29270509831248426, -0.021058567264995436, -0.11949635599612865,
-      -0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, -0.021058567264995436, 0.01743428338016289,
-      0.12791681840042318,
-    ],
-    [
-      0.29270509831248426, -0.021058567264995436, 0.10206207261596575,
-      -0.07905694150420947,
-    ],
-    [
-      0.29270509831248426, -0.009417677582656322, -0.12361203201284189,
-      0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, -0.009417677582656322, -0.07130918187235323,
-      0.10925400611220526,
-    ],
-    [
-      0.29270509831248426, -0.009417677582656322, -0.05896215382221348,
-      -0.11638256608064532,
-    ],
-    [
-      0.29270509831248426, -0.009417677582656322, 0.025665635413589384,
-      -0.12791681840042318,
-    ],
-    [
-      0.29270509831248426, -0.009417677582656322, 0.0979463965992525,
-      0.08618550147264953,
-    ],
-    [
-      0.29270509831248426, -0.009417677582656322, 0.13027133569456673,
-      0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, 0.009417677582656322, -0.13027133569456673,
-      -0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, 0.009417677582656322, -0.0979463965992525,
-      -0.08618550147264953,
-    ],
-    [
-      0.29270509831248426, 0.009417677582656322, -0.025665635413589384,
-      0.12791681840042318,
-    ],
-    [
-      0.29270509831248426, 0.009417677582656322, 0.05896215382221348,
-      0.11638256608064532,
-    ],
-    [
-      0.29270509831248426, 0.009417677582656322, 0.07130918187235323,
-      -0.10925400611220526,
-    ],
-    [
-      0.29270509831248426, 0.009417677582656322, 0.12361203201284189,
-      -0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, 0.021058567264995436, -0.10206207261596575,
-      0.07905694150420947,
-    ],
-    [
-      0.29270509831248426, 0.021058567264995436, -0.01743428338016289,
-      -0.12791681840042318,
-    ],
-    [
-      0.29270509831248426, 0.021058567264995436, 0.11949635599612865,
-      0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, 0.05872927759562073, -0.1153806799794154,
-      -0.018662812288217916,
-    ],
-    [
-      0.29270509831248426, 0.05872927759562073, -0.09540276893424093,
-      -0.0675226891844316,
-    ],
-    [
-      0.29270509831248426, 0.05872927759562073, -0.010774979698438068,
-      0.11638256608064532,
-    ],
-    [
-      0.29270509831248426, 0.05872927759562073, 0.0415278704420506,
-      0.10925400611220526,
-    ],
-    [
-      0.29270509831248426, 0.05872927759562073, 0.07385280953736481,
-      -0.09059119382398736,
-    ],
-    [
-      0.29270509831248426, 0.05872927759562073, 0.10617774863267901,
-      -0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, 0.07037016727795983, -0.08717141690081442,
-      0.0675226891844316,
-    ],
-    [
-      0.29270509831248426, 0.07037016727795983, -0.01489065571515132,
-      -0.10925400611220526,
-    ],
-    [
-      0.29270509831248426, 0.07037016727795983, 0.10206207261596575,
-      0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, 0.08920552244327248, -0.09383072058253925,
-      0.018662812288217916,
-    ],
-    [
-      0.29270509831248426, 0.08920552244327248, -0.05387489849219034,
-      -0.07905694150420947,
-    ],
-    [
-      0.29270509831248426, 0.08920552244327248, -0.0415278704420506,
-      0.08618550147264953,
-    ],
-    [
-      0.29270509831248426, 0.08920552244327248, 0.030752890743612524,
-      -0.09059119382398736,
-    ],
-    [
-      0.29270509831248426, 0.08920552244327248, 0.06307782983892674,
-      0.07192838153576944,
-    ],
-    [
-      0.29270509831248426, 0.08920552244327248, 0.09540276893424093,
-      -0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, 0.11968176729092425, -0.05230285014048866,
-      0.007128559968440045,
-    ],
-    [
-      0.29270509831248426, 0.11968176729092425, -0.03232493909531421,
-      -0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, 0.11968176729092425, -0.019977911045174455,
-      0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, 0.11968176729092425, 0.019977911045174455,
-      -0.0488598768962137,
-    ],
-    [
-      0.29270509831248426, 0.11968176729092425, 0.03232493909531421,
-      0.041731316927773654,
-    ],
-    [
-      0.29270509831248426, 0.11968176729092425, 0.05230285014048866,
-      -0.007128559968440045,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, -0.024093587061887703,
-      0.018662812288217916,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, -0.004115676016713249,
-      -0.03019706460799578,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, 0.028209263078600957,
-      0.01153425231977787,
-    ],
-    [
-      0.30901699437494745, -0.049311600012964404, -0.06719350585563999,
-      0.018662812288217916,
-    ],
-    [
-      0.30901699437494745, -0.049311600012964404, -0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, -0.049311600012964404, -0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, -0.049311600012964404, 0.01743428338016289,
-      -0.0675226891844316,
-    ],
-    [
-      0.30901699437494745, -0.049311600012964404, 0.049759222475477094,
-      0.0488598768962137,
-    ],
-    [0.30901699437494745, -0.049311600012964404, 0.06973713352065156, 0.0],
-    [
-      0.30901699437494745, -0.030476244847651754, -0.07385280953736481,
-      -0.03019706460799578,
-    ],
-    [
-      0.30901699437494745, -0.030476244847651754, 0.010774979698438068,
-      0.07905694150420947,
-    ],
-    [
-      0.30901699437494745, -0.030476244847651754, 0.06307782983892674,
-      -0.0488598768962137,
-    ],
-    [0.30901699437494745, 0.0, -0.08462778923580286, 0.01153425231977787],
-    [0.30901699437494745, 0.0, -0.05230285014048866, -0.0675226891844316],
-    [0.30901699437494745, 0.0, -0.03232493909531421, 0.07905694150420947],
-    [0.30901699437494745, 0.0, 0.03232493909531421, -0.07905694150420947],
-    [0.30901699437494745, 0.0, 0.05230285014048866, 0.0675226891844316],
-    [0.30901699437494745, 0.0, 0.08462778923580286, -0.01153425231977787],
-    [
-      0.30901699437494745, 0.030476244847651754, -0.06307782983892674,
-      0.0488598768962137,
-    ],
-    [
-      0.30901699437494745, 0.030476244847651754, -0.010774979698438068,
-      -0.07905694150420947,
-    ],
-    [
-      0.30901699437494745, 0.030476244847651754, 0.07385280953736481,
-      0.03019706460799578,
-    ],
-    [0.30901699437494745, 0.049311600012964404, -0.06973713352065156, 0.0],
-    [
-      0.30901699437494745, 0.049311600012964404, -0.049759222475477094,
-      -0.0488598768962137,
-    ],
-    [
-      0.30901699437494745, 0.049311600012964404, -0.01743428338016289,
-      0.0675226891844316,
-    ],
-    [
-      0.30901699437494745, 0.049311600012964404, 0.03486856676032578,
-      -0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, 0.049311600012964404, 0.03486856676032578,
-      0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, 0.049311600012964404, 0.06719350585563999,
-      -0.018662812288217916,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, -0.028209263078600957,
-      -0.01153425231977787,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, 0.004115676016713249,
-      0.03019706460799578,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, 0.024093587061887703,
-      -0.018662812288217916,
-    ],
-  ],
-  faces: [
-    [27, 28, 29],
-    [20, 25, 28, 29, 26],
-    [19, 22, 27, 29, 24],
-    [24, 26, 29],
-    [18, 21, 27, 28, 23],
-    [23, 25, 28],
-    [21, 22, 27],
-    [11, 15, 24, 26, 17],
-    [17, 20, 26],
-    [10, 14, 23, 25, 16],
-    [16, 20, 25],
-    [15, 19, 24],
-    [14, 18, 23],
-    [9, 12, 21, 22, 13],
-    [13, 19, 22],
-    [12, 18, 21],
-    [7, 8, 17, 20, 16],
-    [4, 6, 15, 19, 13],
-    [3, 5, 14, 18, 12],
-    [8, 11, 17],
-    [7, 10, 16],
-    [6, 11, 15],
-    [5, 10, 14],
-    [4, 9, 13],
-    [3, 9, 12],
-    [1, 2, 8, 11, 6],
-    [0, 2, 7, 10, 5],
-    [0, 1, 4, 9, 3],
-    [2, 7, 8],
-    [1, 4, 6],
-    [0, 3, 5],
-    [0, 1, 2],
-    [0, 3, 36, 30],
-    [1, 4, 37, 31],
-    [4, 9, 42, 37],
-    [0, 1, 31, 30],
-    [3, 9, 42, 36],
-    [30, 31, 37, 42, 36],
-    [0, 2, 34, 32],
-    [5, 10, 43, 38],
-    [7, 10, 43, 40],
-    [2, 7, 40, 34],
-    [32, 34, 40, 43, 38],
-    [0, 5, 38, 32],
-    [2, 8, 41, 35],
-    [6, 11, 44, 39],
-    [1, 6, 39, 33],
-    [1, 2, 35, 33],
-    [33, 35, 41, 44, 39],
-    [8, 11, 44, 41],
-    [3, 12, 54, 45],
-    [5, 14, 55, 46],
-    [14, 18, 66, 55],
-    [12, 18, 66, 54],
-    [45, 46, 55, 66, 54],
-    [3, 5, 46, 45],
-    [47, 48, 57, 67, 56],
-    [4, 6, 48, 47],
-    [4, 13, 56, 47],
-    [15, 19, 67, 57],
-    [6, 15, 57, 48],
-    [13, 19, 67, 56],
-    [8, 17, 59, 50],
-    [7, 16, 58, 49],
-    [16, 20, 68, 58],
-    [17, 20, 68, 59],
-    [49, 50, 59, 68, 58],
-    [7, 8, 50, 49],
-    [12, 21, 69, 60],
-    [13, 22, 70, 61],
-    [9, 13, 61, 51],
-    [9, 12, 60, 51],
-    [51, 60, 69, 70, 61],
-    [21, 22, 70, 69],
-    [52, 62, 71, 72, 63],
-    [16, 25, 72, 63],
-    [23, 25, 72, 71],
-    [10, 14, 62, 52],
-    [10, 16, 63, 52],
-    [14, 23, 71, 62],
-    [17, 26, 74, 65],
-    [15, 24, 73, 64],
-    [11, 15, 64, 53],
-    [11, 17, 65, 53],
-    [53, 64, 73, 74, 65],
-    [24, 26, 74, 73],
-    [21, 27, 84, 78],
-    [18, 23, 80, 75],
-    [23, 28, 86, 80],
-    [27, 28, 86, 84],
-    [75, 78, 84, 86, 80],
-    [18, 21, 78, 75],
-    [27, 29, 87, 85],
-    [19, 24, 81, 76],
-    [19, 22, 79, 76],
-    [22, 27, 85, 79],
-    [76, 79, 85, 87, 81],
-    [24, 29, 87, 81],
-    [26, 29, 89, 83],
-    [20, 25, 82, 77],
-    [25, 28, 88, 82],
-    [20, 26, 83, 77],
-    [28, 29, 89, 88],
-    [77, 82, 88, 89, 83],
-    [90, 91, 92],
-    [34, 35, 92, 91],
-    [31, 33, 92, 90],
-    [33, 35, 92],
-    [30, 32, 91, 90],
-    [32, 34, 91],
-    [30, 31, 90],
-    [2, 34, 35],
-    [1, 31, 33],
-    [0, 30, 32],
-    [93, 94, 99],
-    [38, 46, 99, 94],
-    [36, 45, 99, 93],
-    [45, 46, 99],
-    [30, 32, 94, 93],
-    [32, 38, 94],
-    [30, 36, 93],
-    [5, 38, 46],
-    [3, 36, 45],
-    [95, 96, 100],
-    [39, 48, 100, 96],
-    [37, 47, 100, 95],
-    [47, 48, 100],
-    [31, 33, 96, 95],
-    [33, 39, 96],
-    [31, 37, 95],
-    [6, 39, 48],
-    [4, 37, 47],
-    [97, 98, 101],
-    [41, 50, 101, 98],
-    [40, 49, 101, 97],
-    [49, 50, 101],
-    [34, 35, 98, 97],
-    [35, 41, 98],
-    [34, 40, 97],
-    [8, 41, 50],
-    [7, 40, 49],
-    [102, 108, 114],
-    [54, 60, 114, 108],
-    [42, 51, 114, 102],
-    [51, 60, 114],
-    [36, 45, 108, 102],
-    [45, 54, 108],
-    [36, 42, 102],
-    [12, 54, 60],
-    [9, 42, 51],
-    [103, 109, 115],
-    [56, 61, 115, 109],
-    [42, 51, 115, 103],
-    [51, 61, 115],
-    [37, 47, 109, 103],
-    [47, 56, 109],
-    [37, 42, 103],
-    [13, 56, 61],
-    [104, 110, 116],
-    [55, 62, 116, 110],
-    [43, 52, 116, 104],
-    [52, 62, 116],
-    [38, 46, 110, 104],
-    [46, 55, 110],
-    [38, 43, 104],
-    [14, 55, 62],
-    [10, 43, 52],
-    [106, 111, 118],
-    [57, 64, 118, 111],
-    [44, 53, 118, 106],
-    [53, 64, 118],
-    [39, 48, 111, 106],
-    [48, 57, 111],
-    [39, 44, 106],
-    [15, 57, 64],
-    [11, 44, 53],
-    [105, 112, 117],
-    [58, 63, 117, 112],
-    [43, 52, 117, 105],
-    [52, 63, 117],
-    [40, 49, 112, 105],
-    [49, 58, 112],
-    [40, 43, 105],
-    [16, 58, 63],
-    [107, 113, 119],
-    [59, 65, 119, 113],
-    [44, 53, 119, 107],
-    [53, 65, 119],
-    [41, 50, 113, 107],
-    [50, 59, 113],
-    [41, 44, 107],
-    [17, 59, 65],
-    [120, 126, 132],
-    [69, 78, 132, 126],
-    [66, 75, 132, 120],
-    [75, 78, 132],
-    [54, 60, 126, 120],
-    [60, 69, 126],
-    [54, 66, 120],
-    [21, 69, 78],
-    [18, 66, 75],
-    [122, 127, 134],
-    [70, 79, 134, 127],
-    [67, 76, 134, 122],
-    [76, 79, 134],
-    [56, 61, 127, 122],
-    [61, 70, 127],
-    [56, 67, 122],
-    [22, 70, 79],
-    [19, 67, 76],
-    [121, 128, 133],
-    [71, 80, 133, 128],
-    [66, 75, 133, 121],
-    [75, 80, 133],
-    [55, 62, 128, 121],
-    [62, 71, 128],
-    [55, 66, 121],
-    [23, 71, 80],
-    [123, 129, 135],
-    [73, 81, 135, 129],
-    [67, 76, 135, 123],
-    [76, 81, 135],
-    [57, 64, 129, 123],
-    [64, 73, 129],
-    [57, 67, 123],
-    [24, 73, 81],
-    [124, 130, 136],
-    [72, 82, 136, 130],
-    [68, 77, 136, 124],
-    [77, 82, 136],
-    [58, 63, 130, 124],
-    [63, 72, 130],
-    [58, 68, 124],
-    [25, 72, 82],
-    [20, 68, 77],
-    [125, 131, 137],
-    [74, 83, 137, 131],
-    [68, 77, 137, 125],
-    [77, 83, 137],
-    [59, 65, 131, 125],
-    [65, 74, 131],
-    [59, 68, 125],
-    [26, 74, 83],
-    [138, 141, 142],
-    [84, 85, 142, 141],
-    [70, 79, 142, 138],
-    [79, 85, 142],
-    [69, 78, 141, 138],
-    [78, 84, 141],
-    [69, 70, 138],
-    [27, 84, 85],
-    [139, 143, 144],
-    [86, 88, 144, 143],
-    [72, 82, 144, 139],
-    [82, 88, 144],
-    [71, 80, 143, 139],
-    [80, 86, 143],
-    [71, 72, 139],
-    [28, 86, 88],
-    [140, 145, 146],
-    [87, 89, 146, 145],
-    [74, 83, 146, 140],
-    [83, 89, 146],
-    [73, 81, 145, 140],
-    [81, 87, 145],
-    [73, 74, 140],
-    [29, 87, 89],
-    [147, 148, 149],
-    [87, 89, 149, 148],
-    [86, 88, 149, 147],
-    [88, 89, 149],
-    [84, 85, 148, 147],
-    [85, 87, 148],
-    [84, 86, 147],
-    [30, 90, 150, 156, 93],
-    [32, 91, 152, 157, 94],
-    [93, 94, 157, 156],
-    [90, 91, 152, 150],
-    [150, 152, 157, 156],
-    [95, 96, 159, 158],
-    [90, 92, 153, 151],
-    [31, 90, 151, 158, 95],
-    [33, 92, 153, 159, 96],
-    [151, 153, 159, 158],
-    [35, 92, 155, 161, 98],
-    [34, 91, 154, 160, 97],
-    [97, 98, 161, 160],
-    [91, 92, 155, 154],
-    [154, 155, 161, 160],
-    [36, 93, 162, 168, 102],
-    [45, 99, 169, 186, 108],
-    [93, 99, 169, 162],
-    [102, 108, 186, 168],
-    [162, 168, 186, 169],
-    [37, 95, 163, 170, 103],
-    [47, 100, 172, 187, 109],
-    [163, 170, 187, 172],
-    [95, 100, 172, 163],
-    [103, 109, 187, 170],
-    [104, 110, 188, 173],
-    [94, 99, 171, 164],
-    [164, 171, 188, 173],
-    [38, 94, 164, 173, 104],
-    [46, 99, 171, 188, 110],
-    [39, 96, 165, 175, 106],
-    [48, 100, 174, 189, 111],
-    [106, 111, 189, 175],
-    [165, 174, 189, 175],
-    [96, 100, 174, 165],
-    [49, 101, 177, 190, 112],
-    [105, 112, 190, 176],
-    [40, 97, 166, 176, 105],
-    [97, 101, 177, 166],
-    [166, 176, 190, 177],
-    [41, 98, 167, 178, 107],
-    [50, 101, 179, 191, 113],
-    [98, 101, 179, 167],
-    [107, 113, 191, 178],
-    [167, 178, 191, 179],
-    [103, 115, 193, 181],
-    [102, 114, 192, 180],
-    [42, 102, 180, 181, 103],
-    [51, 114, 192, 193, 115],
-    [180, 181, 193, 192],
-    [43, 104, 182, 183, 105],
-    [52, 116, 194, 195, 117],
-    [104, 116, 194, 182],
-    [182, 183, 195, 194],
-    [105, 117, 195, 183],
-    [44, 106, 184, 185, 107],
-    [106, 118, 196, 184],
-    [53, 118, 196, 197, 119],
-    [107, 119, 197, 185],
-    [184, 185, 197, 196],
-    [60, 114, 204, 216, 126],
-    [54, 108, 198, 210, 120],
-    [120, 126, 216, 210],
-    [108, 114, 204, 198],
-    [198, 204, 216, 210],
-    [61, 115, 205, 217, 127],
-    [56, 109, 199, 212, 122],
-    [122, 127, 217, 212],
-    [199, 205, 217, 212],
-    [109, 115, 205, 199],
-    [55, 110, 200, 211, 121],
-    [62, 116, 206, 218, 128],
-    [110, 116, 206, 200],
-    [200, 206, 218, 211],
-    [121, 128, 218, 211],
-    [64, 118, 208, 219, 129],
-    [57, 111, 201, 213, 123],
-    [123, 129, 219, 213],
-    [201, 208, 219, 213],
-    [111, 118, 208, 201],
-    [58, 112, 202, 214, 124],
-    [63, 117, 207, 220, 130],
-    [112, 117, 207, 202],
-    [202, 207, 220, 214],
-    [124, 130, 220, 214],
-    [59, 113, 203, 215, 125],
-    [65, 119, 209, 221, 131],
-    [113, 119, 209, 203],
-    [125, 131, 221, 215],
-    [203, 209, 221, 215],
-    [75, 132, 234, 235, 133],
-    [121, 133, 235, 223],
-    [66, 120, 222, 223, 121],
-    [120, 132, 234, 222],
-    [222, 223, 235, 234],
-    [76, 134, 236, 237, 135],
-    [67, 122, 224, 225, 123],
-    [123, 135, 237, 225],
-    [224, 225, 237, 236],
-    [122, 134, 236, 224],
-    [124, 136, 238, 226],
-    [125, 137, 239, 227],
-    [77, 136, 238, 239, 137],
-    [68, 124, 226, 227, 125],
-    [226, 227, 239, 238],
-    [69, 126, 228, 240, 138],
-    [78, 132, 241, 252, 141],
-    [126, 132, 241, 228],
-    [138, 141, 252, 240],
-    [228, 240, 252, 241],
-    [70, 127, 229, 242, 138],
-    [127, 134, 243, 229],
-    [79, 134, 243, 253, 142],
-    [138, 142, 253, 242],
-    [229, 242, 253, 243],
-    [80, 133, 244, 254, 143],
-    [71, 128, 230, 245, 139],
-    [128, 133, 244, 230],
-    [230, 244, 254, 245],
-    [139, 143, 254, 245],
-    [129, 135, 246, 231],
-    [140, 145, 255, 248],
-    [231, 246, 255, 248],
-    [73, 129, 231, 248, 140],
-    [81, 135, 246, 255, 145],
-    [82, 136, 249, 256, 144],
-    [72, 130, 232, 247, 139],
-    [232, 247, 256, 249],
-    [130, 136, 249, 232],
-    [139, 144, 256, 247],
-    [83, 137, 251, 257, 146],
-    [74, 131, 233, 250, 140],
-    [140, 146, 257, 250],
-    [131, 137, 251, 233],
-    [233, 250, 257, 251],
-    [84, 141, 258, 264, 147],
-    [85, 142, 259, 265, 148],
-    [141, 142, 259, 258],
-    [147, 148, 265, 264],
-    [258, 259, 265, 264],
-    [143, 144, 261, 260],
-    [147, 149, 268, 266],
-    [88, 144, 261, 268, 149],
-    [86, 143, 260, 266, 147],
-    [260, 261, 268, 266],
-    [89, 146, 263, 269, 149],
-    [87, 145, 262, 267, 148],
-    [145, 146, 263, 262],
-    [148, 149, 269, 267],
-    [262, 263, 269, 267],
-    [390, 393, 399, 400, 394],
-    [294, 399, 400],
-    [284, 394, 400],
-    [170, 181, 294, 400, 284],
-    [282, 393, 399],
-    [168, 180, 294, 399, 282],
-    [274, 390, 394],
-    [158, 163, 284, 394, 274],
-    [273, 390, 393],
-    [156, 162, 282, 393, 273],
-    [150, 151, 274, 390, 273],
-    [180, 181, 294],
-    [163, 170, 284],
-    [162, 168, 282],
-    [151, 158, 274],
-    [150, 156, 273],
-    [103, 170, 181],
-    [102, 168, 180],
-    [95, 158, 163],
-    [93, 156, 162],
-    [90, 150, 151],
-    [391, 395, 401, 402, 396],
-    [295, 401, 402],
-    [290, 396, 402],
-    [176, 183, 295, 402, 290],
-    [287, 395, 401],
-    [173, 182, 295, 401, 287],
-    [277, 391, 396],
-    [160, 166, 290, 396, 277],
-    [275, 391, 395],
-    [157, 164, 287, 395, 275],
-    [152, 154, 277, 391, 275],
-    [182, 183, 295],
-    [166, 176, 290],
-    [164, 173, 287],
-    [154, 160, 277],
-    [152, 157, 275],
-    [105, 176, 183],
-    [104, 173, 182],
-    [97, 160, 166],
-    [94, 157, 164],
-    [91, 152, 154],
-    [392, 397, 403, 404, 398],
-    [296, 403, 404],
-    [292, 398, 404],
-    [178, 185, 296, 404, 292],
-    [289, 397, 403],
-    [175, 184, 296, 403, 289],
-    [278, 392, 398],
-    [161, 167, 292, 398, 278],
-    [276, 392, 397],
-    [159, 165, 289, 397, 276],
-    [153, 155, 278, 392, 276],
-    [184, 185, 296],
-    [167, 178, 292],
-    [165, 175, 289],
-    [155, 161, 278],
-    [153, 159, 276],
-    [107, 178, 185],
-    [106, 175, 184],
-    [98, 161, 167],
-    [96, 159, 165],
-    [92, 153, 155],
-    [405, 408, 414, 415, 409],
-    [336, 414, 415],
-    [325, 409, 415],
-    [211, 223, 336, 415, 325],
-    [324, 408, 414],
-    [210, 222, 336, 414, 324],
-    [300, 405, 409],
-    [188, 200, 325, 409, 300],
-    [298, 405, 408],
-    [186, 198, 324, 408, 298],
-    [169, 171, 300, 405, 298],
-    [222, 223, 336],
-    [200, 211, 325],
-    [198, 210, 324],
-    [171, 188, 300],
-    [169, 186, 298],
-    [121, 211, 223],
-    [120, 210, 222],
-    [110, 188, 200],
-    [108, 186, 198],
-    [99, 169, 171],
-    [406, 410, 416, 417, 411],
-    [337, 416, 417],
-    [327, 411, 417],
-    [213, 225, 337, 417, 327],
-    [326, 410, 416],
-    [212, 224, 337, 416, 326],
-    [303, 406, 411],
-    [189, 201, 327, 411, 303],
-    [301, 406, 410],
-    [187, 199, 326, 410, 301],
-    [172, 174, 303, 406, 301],
-    [224, 225, 337],
-    [201, 213, 327],
-    [199, 212, 326],
-    [174, 189, 303],
-    [172, 187, 301],
-    [123, 213, 225],
-    [122, 212, 224],
-    [111, 189, 201],
-    [109, 187, 199],
-    [100, 172, 174],
-    [407, 412, 418, 419, 413],
-    [338, 418, 419],
-    [329, 413, 419],
-    [215, 227, 338, 419, 329],
-    [328, 412, 418],
-    [214, 226, 338, 418, 328],
-    [308, 407, 413],
-    [191, 203, 329, 413, 308],
-    [306, 407, 412],
-    [190, 202, 328, 412, 306],
-    [177, 179, 308, 407, 306],
-    [226, 227, 338],
-    [203, 215, 329],
-    [202, 214, 328],
-    [179, 191, 308],
-    [177, 190, 306],
-    [125, 215, 227],
-    [124, 214, 226],
-    [113, 191, 203],
-    [112, 190, 202],
-    [101, 177, 179],
-    [420, 421, 427, 432, 426],
-    [353, 427, 432],
-    [351, 426, 432],
-    [240, 242, 353, 432, 351],
-    [331, 421, 427],
-    [217, 229, 353, 427, 331],
-    [330, 420, 426],
-    [216, 228, 351, 426, 330],
-    [321, 420, 421],
-    [193, 205, 331, 421, 321],
-    [192, 204, 330, 420, 321],
-    [229, 242, 353],
-    [228, 240, 351],
-    [205, 217, 331],
-    [204, 216, 330],
-    [192, 193, 321],
-    [138, 240, 242],
-    [127, 217, 229],
-    [126, 216, 228],
-    [115, 193, 205],
-    [114, 192, 204],
-    [422, 423, 429, 433, 428],
-    [358, 429, 433],
-    [356, 428, 433],
-    [245, 247, 358, 433, 356],
-    [333, 423, 429],
-    [220, 232, 358, 429, 333],
-    [332, 422, 428],
-    [218, 230, 356, 428, 332],
-    [322, 422, 423],
-    [195, 207, 333, 423, 322],
-    [194, 206, 332, 422, 322],
-    [232, 247, 358],
-    [230, 245, 356],
-    [207, 220, 333],
-    [206, 218, 332],
-    [194, 195, 322],
-    [139, 245, 247],
-    [130, 220, 232],
-    [128, 218, 230],
-    [117, 195, 207],
-    [116, 194, 206],
-    [424, 425, 431, 434, 430],
-    [361, 431, 434],
-    [359, 430, 434],
-    [248, 250, 361, 434, 359],
-    [335, 425, 431],
-    [221, 233, 361, 431, 335],
-    [334, 424, 430],
-    [219, 231, 359, 430, 334],
-    [323, 424, 425],
-    [197, 209, 335, 425, 323],
-    [196, 208, 334, 424, 323],
-    [233, 250, 361],
-    [231, 248, 359],
-    [209, 221, 335],
-    [208, 219, 334],
-    [196, 197, 323],
-    [140, 248, 250],
-    [131, 221, 233],
-    [129, 219, 231],
-    [119, 197, 209],
-    [118, 196, 208],
-    [435, 436, 442, 447, 441],
-    [383, 442, 447],
-    [381, 441, 447],
-    [264, 266, 383, 447, 381],
-    [370, 436, 442],
-    [254, 260, 383, 442, 370],
-    [367, 435, 441],
-    [252, 258, 381, 441, 367],
-    [363, 435, 436],
-    [235, 244, 370, 436, 363],
-    [234, 241, 367, 435, 363],
-    [260, 266, 383],
-    [258, 264, 381],
-    [244, 254, 370],
-    [241, 252, 367],
-    [234, 235, 363],
-    [147, 264, 266],
-    [143, 254, 260],
-    [141, 252, 258],
-    [133, 235, 244],
-    [132, 234, 241],
-    [437, 438, 444, 448, 443],
-    [384, 444, 448],
-    [382, 443, 448],
-    [265, 267, 384, 448, 382],
-    [372, 438, 444],
-    [255, 262, 384, 444, 372],
-    [369, 437, 443],
-    [253, 259, 382, 443, 369],
-    [364, 437, 438],
-    [237, 246, 372, 438, 364],
-    [236, 243, 369, 437, 364],
-    [262, 267, 384],
-    [259, 265, 382],
-    [246, 255, 372],
-    [243, 253, 369],
-    [236, 237, 364],
-    [148, 265, 267],
-    [145, 255, 262],
-    [142, 253, 259],
-    [135, 237, 246],
-    [134, 236, 243],
-    [439, 440, 446, 449, 445],
-    [386, 446, 449],
-    [385, 445, 449],
-    [268, 269, 386, 449, 385],
-    [377, 440, 446],
-    [257, 263, 386, 446, 377],
-    [375, 439, 445],
-    [256, 261, 385, 445, 375],
-    [365, 439, 440],
-    [239, 251, 377, 440, 365],
-    [238, 249, 375, 439, 365],
-    [263, 269, 386],
-    [261, 268, 385],
-    [251, 257, 377],
-    [249, 256, 375],
-    [238, 239, 365],
-    [149, 268, 269],
-    [146, 257, 263],
-    [144, 256, 261],
-    [137, 239, 251],
-    [136, 238, 249],
-    [270, 271, 272],
-    [153, 155, 272, 271],
-    [152, 154, 272, 270],
-    [154, 155, 272],
-    [150, 151, 271, 270],
-    [151, 153, 271],
-    [150, 152, 270],
-    [279, 283, 285],
-    [169, 171, 285, 283],
-    [157, 164, 285, 279],
-    [164, 171, 285],
-    [156, 162, 283, 279],
-    [162, 169, 283],
-    [156, 157, 279],
-    [280, 286, 288],
-    [172, 174, 288, 286],
-    [159, 165, 288, 280],
-    [165, 174, 288],
-    [158, 163, 286, 280],
-    [163, 172, 286],
-    [158, 159, 280],
-    [281, 291, 293],
-    [177, 179, 293, 291],
-    [161, 167, 293, 281],
-    [167, 179, 293],
-    [160, 166, 291, 281],
-    [166, 177, 291],
-    [160, 161, 281],
-    [297, 309, 315],
-    [192, 204, 315, 309],
-    [186, 198, 315, 297],
-    [198, 204, 315],
-    [168, 180, 309, 297],
-    [180, 192, 309],
-    [168, 186, 297],
-    [299, 310, 316],
-    [193, 205, 316, 310],
-    [187, 199, 316, 299],
-    [199, 205, 316],
-    [170, 181, 310, 299],
-    [181, 193, 310],
-    [170, 187, 299],
-    [302, 311, 317],
-    [194, 206, 317, 311],
-    [188, 200, 317, 302],
-    [200, 206, 317],
-    [173, 182, 311, 302],
-    [182, 194, 311],
-    [173, 188, 302],
-    [304, 313, 318],
-    [196, 208, 318, 313],
-    [189, 201, 318, 304],
-    [201, 208, 318],
-    [175, 184, 313, 304],
-    [184, 196, 313],
-    [175, 189, 304],
-    [305, 312, 319],
-    [195, 207, 319, 312],
-    [190, 202, 319, 305],
-    [202, 207, 319],
-    [176, 183, 312, 305],
-    [183, 195, 312],
-    [176, 190, 305],
-    [307, 314, 320],
-    [197, 209, 320, 314],
-    [191, 203, 320, 307],
-    [203, 209, 320],
-    [178, 185, 314, 307],
-    [185, 197, 314],
-    [178, 191, 307],
-    [339, 345, 352],
-    [234, 241, 352, 345],
-    [216, 228, 352, 339],
-    [228, 241, 352],
-    [210, 222, 345, 339],
-    [222, 234, 345],
-    [210, 216, 339],
-    [340, 347, 354],
-    [236, 243, 354, 347],
-    [217, 229, 354, 340],
-    [229, 243, 354],
-    [212, 224, 347, 340],
-    [224, 236, 347],
-    [212, 217, 340],
-    [341, 346, 355],
-    [235, 244, 355, 346],
-    [218, 230, 355, 341],
-    [230, 244, 355],
-    [211, 223, 346, 341],
-    [223, 235, 346],
-    [211, 218, 341],
-    [342, 348, 357],
-    [237, 246, 357, 348],
-    [219, 231, 357, 342],
-    [231, 246, 357],
-    [213, 225, 348, 342],
-    [225, 237, 348],
-    [213, 219, 342],
-    [343, 349, 360],
-    [238, 249, 360, 349],
-    [220, 232, 360, 343],
-    [232, 249, 360],
-    [214, 226, 349, 343],
-    [226, 238, 349],
-    [214, 220, 343],
-    [344, 350, 362],
-    [239, 251, 362, 350],
-    [221, 233, 362, 344],
-    [233, 251, 362],
-    [215, 227, 350, 344],
-    [227, 239, 350],
-    [215, 221, 344],
-    [366, 368, 378],
-    [253, 259, 378, 368],
-    [252, 258, 378, 366],
-    [258, 259, 378],
-    [240, 242, 368, 366],
-    [242, 253, 368],
-    [240, 252, 366],
-    [371, 373, 379],
-    [256, 261, 379, 373],
-    [254, 260, 379, 371],
-    [260, 261, 379],
-    [245, 247, 373, 371],
-    [247, 256, 373],
-    [245, 254, 371],
-    [374, 376, 380],
-    [257, 263, 380, 376],
-    [255, 262, 380, 374],
-    [262, 263, 380],
-    [248, 250, 376, 374],
-    [250, 257, 376],
-    [248, 255, 374],
-    [387, 388, 389],
-    [268, 269, 389, 388],
-    [265, 267, 389, 387],
-    [267, 269, 389],
-    [264, 266, 388, 387],
-    [266, 268, 388],
-    [264, 265, 387],
-    [450, 452, 457, 456],
-    [279, 456, 457],
-    [275, 452, 457],
-    [157, 275, 457, 279],
-    [273, 450, 456],
-    [156, 273, 456, 279],
-    [270, 450, 452],
-    [152, 270, 452, 275],
-    [150, 270, 450, 273],
-    [451, 453, 459, 458],
-    [280, 458, 459],
-    [276, 453, 459],
-    [159, 276, 459, 280],
-    [274, 451, 458],
-    [158, 274, 458, 280],
-    [271, 451, 453],
-    [153, 271, 453, 276],
-    [151, 271, 451, 274],
-    [454, 455, 461, 460],
-    [281, 460, 461],
-    [278, 455, 461],
-    [161, 278, 461, 281],
-    [277, 454, 460],
-    [160, 277, 460, 281],
-    [272, 454, 455],
-    [155, 272, 455, 278],
-    [154, 272, 454, 277],
-    [462, 468, 481, 469],
-    [298, 469, 481],
-    [297, 468, 481],
-    [186, 297, 481, 298],
-    [283, 462, 469],
-    [169, 283, 469, 298],
-    [282, 462, 468],
-    [168, 282, 468, 297],
-    [162, 282, 462, 283],
-    [463, 470, 483, 472],
-    [301, 472, 483],
-    [299, 470, 483],
-    [187, 299, 483, 301],
-    [286, 463, 472],
-    [172, 286, 472, 301],
-    [284, 463, 470],
-    [170, 284, 470, 299],
-    [163, 284, 463, 286],
-    [464, 471, 484, 473],
-    [302, 473, 484],
-    [300, 471, 484],
-    [188, 300, 484, 302],
-    [287, 464, 473],
-    [173, 287, 473, 302],
-    [285, 464, 471],
-    [171, 285, 471, 300],
-    [164, 285, 464, 287],
-    [465, 474, 486, 475],
-    [304, 475, 486],
-    [303, 474, 486],
-    [189, 303, 486, 304],
-    [289, 465, 475],
-    [175, 289, 475, 304],
-    [288, 465, 474],
-    [174, 288, 474, 303],
-    [165, 288, 465, 289],
-    [466, 476, 489, 477],
-    [306, 477, 489],
-    [305, 476, 489],
-    [190, 305, 489, 306],
-    [291, 466, 477],
-    [177, 291, 477, 306],
-    [290, 466, 476],
-    [176, 290, 476, 305],
-    [166, 290, 466, 291],
-    [467, 478, 491, 479],
-    [308, 479, 491],
-    [307, 478, 491],
-    [191, 307, 491, 308],
-    [293, 467, 479],
-    [179, 293, 479, 308],
-    [292, 467, 478],
-    [178, 292, 478, 307],
-    [167, 292, 467, 293],
-    [480, 482, 493, 492],
-    [321, 492, 493],
-    [310, 482, 493],
-    [193, 310, 493, 321],
-    [309, 480, 492],
-    [192, 309, 492, 321],
-    [294, 480, 482],
-    [181, 294, 482, 310],
-    [180, 294, 480, 309],
-    [485, 487, 495, 494],
-    [322, 494, 495],
-    [312, 487, 495],
-    [195, 312, 495, 322],
-    [311, 485, 494],
-    [194, 311, 494, 322],
-    [295, 485, 487],
-    [183, 295, 487, 312],
-    [182, 295, 485, 311],
-    [488, 490, 497, 496],
-    [323, 496, 497],
-    [314, 490, 497],
-    [197, 314, 497, 323],
-    [313, 488, 496],
-    [196, 313, 496, 323],
-    [296, 488, 490],
-    [185, 296, 490, 314],
-    [184, 296, 488, 313],
-    [498, 504, 516, 510],
-    [339, 510, 516],
-    [330, 504, 516],
-    [216, 330, 516, 339],
-    [324, 498, 510],
-    [210, 324, 510, 339],
-    [315, 498, 504],
-    [204, 315, 504, 330],
-    [198, 315, 498, 324],
-    [499, 505, 517, 511],
-    [340, 511, 517],
-    [331, 505, 517],
-    [217, 331, 517, 340],
-    [326, 499, 511],
-    [212, 326, 511, 340],
-    [316, 499, 505],
-    [205, 316, 505, 331],
-    [199, 316, 499, 326],
-    [500, 506, 518, 512],
-    [341, 512, 518],
-    [332, 506, 518],
-    [218, 332, 518, 341],
-    [325, 500, 512],
-    [211, 325, 512, 341],
-    [317, 500, 506],
-    [206, 317, 506, 332],
-    [200, 317, 500, 325],
-    [501, 507, 519, 513],
-    [342, 513, 519],
-    [334, 507, 519],
-    [219, 334, 519, 342],
-    [327, 501, 513],
-    [213, 327, 513, 342],
-    [318, 501, 507],
-    [208, 318, 507, 334],
-    [201, 318, 501, 327],
-    [502, 508, 520, 514],
-    [343, 514, 520],
-    [333, 508, 520],
-    [220, 333, 520, 343],
-    [328, 502, 514],
-    [214, 328, 514, 343],
-    [319, 502, 508],
-    [207, 319, 508, 333],
-    [202, 319, 502, 328],
-    [503, 509, 521, 515],
-    [344, 515, 521],
-    [335, 509, 521],
-    [221, 335, 521, 344],
-    [329, 503, 515],
-    [215, 329, 515, 344],
-    [320, 503, 509],
-    [209, 320, 509, 335],
-    [203, 320, 503, 329],
-    [522, 523, 531, 529],
-    [363, 529, 531],
-    [346, 523, 531],
-    [235, 346, 531, 363],
-    [345, 522, 529],
-    [234, 345, 529, 363],
-    [336, 522, 523],
-    [223, 336, 523, 346],
-    [222, 336, 522, 345],
-    [524, 525, 534, 532],
-    [364, 532, 534],
-    [348, 525, 534],
-    [237, 348, 534, 364],
-    [347, 524, 532],
-    [236, 347, 532, 364],
-    [337, 524, 525],
-    [225, 337, 525, 348],
-    [224, 337, 524, 347],
-    [526, 527, 539, 537],
-    [365, 537, 539],
-    [350, 527, 539],
-    [239, 350, 539, 365],
-    [349, 526, 537],
-    [238, 349, 537, 365],
-    [338, 526, 527],
-    [227, 338, 527, 350],
-    [226, 338, 526, 349],
-    [528, 540, 552, 541],
-    [367, 541, 552],
-    [366, 540, 552],
-    [252, 366, 552, 367],
-    [352, 528, 541],
-    [241, 352, 541, 367],
-    [351, 528, 540],
-    [240, 351, 540, 366],
-    [228, 351, 528, 352],
-    [530, 542, 553, 543],
-    [369, 543, 553],
-    [368, 542, 553],
-    [253, 368, 553, 369],
-    [354, 530, 543],
-    [243, 354, 543, 369],
-    [353, 530, 542],
-    [242, 353, 542, 368],
-    [229, 353, 530, 354],
-    [533, 544, 554, 545],
-    [371, 545, 554],
-    [370, 544, 554],
-    [254, 370, 554, 371],
-    [356, 533, 545],
-    [245, 356, 545, 371],
-    [355, 533, 544],
-    [244, 355, 544, 370],
-    [230, 355, 533, 356],
-    [535, 546, 555, 548],
-    [374, 548, 555],
-    [372, 546, 555],
-    [255, 372, 555, 374],
-    [359, 535, 548],
-    [248, 359, 548, 374],
-    [357, 535, 546],
-    [246, 357, 546, 372],
-    [231, 357, 535, 359],
-    [536, 547, 556, 549],
-    [375, 549, 556],
-    [373, 547, 556],
-    [256, 373, 556, 375],
-    [360, 536, 549],
-    [249, 360, 549, 375],
-    [358, 536, 547],
-    [247, 358, 547, 373],
-    [232, 358, 536, 360],
-    [538, 550, 557, 551],
-    [377, 551, 557],
-    [376, 550, 557],
-    [257, 376, 557, 377],
-    [362, 538, 551],
-    [251, 362, 551, 377],
-    [361, 538, 550],
-    [250, 361, 550, 376],
-    [233, 361, 538, 362],
-    [558, 559, 565, 564],
-    [387, 564, 565],
-    [382, 559, 565],
-    [265, 382, 565, 387],
-    [381, 558, 564],
-    [264, 381, 564, 387],
-    [378, 558, 559],
-    [259, 378, 559, 382],
-    [258, 378, 558, 381],
-    [560, 561, 568, 566],
-    [388, 566, 568],
-    [385, 561, 568],
-    [268, 385, 568, 388],
-    [383, 560, 566],
-    [266, 383, 566, 388],
-    [379, 560, 561],
-    [261, 379, 561, 385],
-    [260, 379, 560, 383],
-    [562, 563, 569, 567],
-    [389, 567, 569],
-    [386, 563, 569],
-    [269, 386, 569, 389],
-    [384, 562, 567],
-    [267, 384, 567, 389],
-    [380, 562, 563],
-    [263, 380, 563, 386],
-    [262, 380, 562, 384],
-    [274, 390, 570, 451],
-    [273, 390, 570, 450],
-    [270, 271, 451, 570, 450],
-    [275, 391, 571, 452],
-    [277, 391, 571, 454],
-    [270, 272, 454, 571, 452],
-    [276, 392, 572, 453],
-    [271, 272, 455, 572, 453],
-    [278, 392, 572, 455],
-    [279, 283, 462, 573, 456],
-    [273, 393, 573, 456],
-    [282, 393, 573, 462],
-    [280, 286, 463, 574, 458],
-    [274, 394, 574, 458],
-    [284, 394, 574, 463],
-    [287, 395, 575, 464],
-    [275, 395, 575, 457],
-    [279, 285, 464, 575, 457],
-    [280, 288, 465, 576, 459],
-    [276, 397, 576, 459],
-    [289, 397, 576, 465],
-    [290, 396, 577, 466],
-    [281, 291, 466, 577, 460],
-    [277, 396, 577, 460],
-    [292, 398, 578, 467],
-    [281, 293, 467, 578, 461],
-    [278, 398, 578, 461],
-    [294, 399, 579, 480],
-    [282, 399, 579, 468],
-    [297, 309, 480, 579, 468],
-    [299, 310, 482, 580, 470],
-    [294, 400, 580, 482],
-    [284, 400, 580, 470],
-    [300, 405, 585, 471],
-    [298, 405, 585, 469],
-    [283, 285, 471, 585, 469],
-    [303, 406, 586, 474],
-    [301, 406, 586, 472],
-    [286, 288, 474, 586, 472],
-    [302, 311, 485, 581, 473],
-    [295, 401, 581, 485],
-    [287, 401, 581, 473],
-    [305, 312, 487, 582, 476],
-    [295, 402, 582, 487],
-    [290, 402, 582, 476],
-    [304, 313, 488, 583, 475],
-    [296, 403, 583, 488],
-    [289, 403, 583, 475],
-    [296, 404, 584, 490],
-    [292, 404, 584, 478],
-    [307, 314, 490, 584, 478],
-    [306, 407, 587, 477],
-    [308, 407, 587, 479],
-    [291, 293, 479, 587, 477],
-    [298, 408, 588, 481],
-    [324, 408, 588, 498],
-    [297, 315, 498, 588, 481],
-    [326, 410, 590, 499],
-    [301, 410, 590, 483],
-    [299, 316, 499, 590, 483],
-    [302, 317, 500, 589, 484],
-    [325, 409, 589, 500],
-    [300, 409, 589, 484],
-    [327, 411, 591, 501],
-    [303, 411, 591, 486],
-    [304, 318, 501, 591, 486],
-    [305, 319, 502, 592, 489],
-    [306, 412, 592, 489],
-    [328, 412, 592, 502],
-    [308, 413, 593, 491],
-    [307, 320, 503, 593, 491],
-    [329, 413, 593, 503],
-    [321, 420, 594, 492],
-    [309, 315, 504, 594, 492],
-    [330, 420, 594, 504],
-    [310, 316, 505, 595, 493],
-    [321, 421, 595, 493],
-    [331, 421, 595, 505],
-    [322, 422, 596, 494],
-    [332, 422, 596, 506],
-    [311, 317, 506, 596, 494],
-    [322, 423, 597, 495],
-    [333, 423, 597, 508],
-    [312, 319, 508, 597, 495],
-    [313, 318, 507, 598, 496],
-    [334, 424, 598, 507],
-    [323, 424, 598, 496],
-    [323, 425, 599, 497],
-    [314, 320, 509, 599, 497],
-    [335, 425, 599, 509],
-    [336, 414, 600, 522],
-    [339, 345, 522, 600, 510],
-    [324, 414, 600, 510],
-    [341, 346, 523, 601, 512],
-    [325, 415, 601, 512],
-    [336, 415, 601, 523],
-    [337, 416, 602, 524],
-    [326, 416, 602, 511],
-    [340, 347, 524, 602, 511],
-    [327, 417, 603, 513],
-    [337, 417, 603, 525],
-    [342, 348, 525, 603, 513],
-    [343, 349, 526, 604, 514],
-    [338, 418, 604, 526],
-    [328, 418, 604, 514],
-    [338, 419, 605, 527],
-    [344, 350, 527, 605, 515],
-    [329, 419, 605, 515],
-    [351, 426, 606, 528],
-    [339, 352, 528, 606, 516],
-    [330, 426, 606, 516],
-    [340, 354, 530, 607, 517],
-    [353, 427, 607, 530],
-    [331, 427, 607, 517],
-    [332, 428, 608, 518],
-    [356, 428, 608, 533],
-    [341, 355, 533, 608, 518],
-    [342, 357, 535, 610, 519],
-    [334, 430, 610, 519],
-    [359, 430, 610, 535],
-    [333, 429, 609, 520],
-    [358, 429, 609, 536],
-    [343, 360, 536, 609, 520],
-    [361, 431, 611, 538],
-    [335, 431, 611, 521],
-    [344, 362, 538, 611, 521],
-    [353, 432, 612, 542],
-    [351, 432, 612, 540],
-    [366, 368, 542, 612, 540],
-    [363, 435, 615, 529],
-    [367, 435, 615, 541],
-    [345, 352, 541, 615, 529],
-    [346, 355, 544, 616, 531],
-    [363, 436, 616, 531],
-    [370, 436, 616, 544],
-    [347, 354, 543, 617, 532],
-    [364, 437, 617, 532],
-    [369, 437, 617, 543],
-    [348, 357, 546, 618, 534],
-    [364, 438, 618, 534],
-    [372, 438, 618, 546],
-    [356, 433, 613, 545],
-    [358, 433, 613, 547],
-    [371, 373, 547, 613, 545],
-    [359, 434, 614, 548],
-    [361, 434, 614, 550],
-    [374, 376, 550, 614, 548],
-    [349, 360, 549, 619, 537],
-    [365, 439, 619, 537],
-    [375, 439, 619, 549],
-    [365, 440, 620, 539],
-    [377, 440, 620, 551],
-    [350, 362, 551, 620, 539],
-    [367, 441, 621, 552],
-    [366, 378, 558, 621, 552],
-    [381, 441, 621, 558],
-    [369, 443, 622, 553],
-    [368, 378, 559, 622, 553],
-    [382, 443, 622, 559],
-    [371, 379, 560, 623, 554],
-    [383, 442, 623, 560],
-    [370, 442, 623, 554],
-    [372, 444, 624, 555],
-    [384, 444, 624, 562],
-    [374, 380, 562, 624, 555],
-    [373, 379, 561, 625, 556],
-    [385, 445, 625, 561],
-    [375, 445, 625, 556],
-    [376, 380, 563, 626, 557],
-    [377, 446, 626, 557],
-    [386, 446, 626, 563],
-    [383, 447, 627, 566],
-    [387, 388, 566, 627, 564],
-    [381, 447, 627, 564],
-    [384, 448, 628, 567],
-    [382, 448, 628, 565],
-    [387, 389, 567, 628, 565],
-    [385, 449, 629, 568],
-    [386, 449, 629, 569],
-    [388, 389, 569, 629, 568],
-    [394, 400, 640, 634],
-    [390, 393, 633, 630],
-    [393, 399, 639, 633],
-    [390, 394, 634, 630],
-    [399, 400, 640, 639],
-    [630, 633, 639, 640, 634],
-    [391, 396, 636, 631],
-    [401, 402, 642, 641],
-    [391, 395, 635, 631],
-    [395, 401, 641, 635],
-    [396, 402, 642, 636],
-    [631, 635, 641, 642, 636],
-    [392, 398, 638, 632],
-    [397, 403, 643, 637],
-    [398, 404, 644, 638],
-    [403, 404, 644, 643],
-    [392, 397, 637, 632],
-    [632, 637, 643, 644, 638],
-    [408, 414, 654, 648],
-    [409, 415, 655, 649],
-    [405, 408, 648, 645],
-    [405, 409, 649, 645],
-    [414, 415, 655, 654],
-    [645, 648, 654, 655, 649],
-    [406, 410, 650, 646],
-    [406, 411, 651, 646],
-    [410, 416, 656, 650],
-    [411, 417, 657, 651],
-    [416, 417, 657, 656],
-    [646, 650, 656, 657, 651],
-    [413, 419, 659, 653],
-    [412, 418, 658, 652],
-    [407, 413, 653, 647],
-    [407, 412, 652, 647],
-    [418, 419, 659, 658],
-    [647, 652, 658, 659, 653],
-    [420, 426, 666, 660],
-    [421, 427, 667, 661],
-    [426, 432, 672, 666],
-    [427, 432, 672, 667],
-    [420, 421, 661, 660],
-    [660, 661, 667, 672, 666],
-    [429, 433, 673, 669],
-    [423, 429, 669, 663],
-    [428, 433, 673, 668],
-    [422, 423, 663, 662],
-    [422, 428, 668, 662],
-    [662, 663, 669, 673, 668],
-    [425, 431, 671, 665],
-    [424, 430, 670, 664],
-    [431, 434, 674, 671],
-    [430, 434, 674, 670],
-    [424, 425, 665, 664],
-    [664, 665, 671, 674, 670],
-    [441, 447, 687, 681],
-    [436, 442, 682, 676],
-    [435, 441, 681, 675],
-    [435, 436, 676, 675],
-    [442, 447, 687, 682],
-    [675, 676, 682, 687, 681],
-    [443, 448, 688, 683],
-    [437, 438, 678, 677],
-    [444, 448, 688, 684],
-    [438, 444, 684, 678],
-    [437, 443, 683, 677],
-    [677, 678, 684, 688, 683],
-    [439, 445, 685, 679],
-    [440, 446, 686, 680],
-    [446, 449, 689, 686],
-    [439, 440, 680, 679],
-    [445, 449, 689, 685],
-    [679, 680, 686, 689, 685],
-    [690, 696, 810],
-    [573, 633, 810, 696],
-    [570, 630, 810, 690],
-    [630, 633, 810],
-    [450, 456, 696, 690],
-    [456, 573, 696],
-    [450, 570, 690],
-    [393, 573, 633],
-    [390, 570, 630],
-    [691, 698, 811],
-    [574, 634, 811, 698],
-    [570, 630, 811, 691],
-    [630, 634, 811],
-    [451, 458, 698, 691],
-    [458, 574, 698],
-    [451, 570, 691],
-    [394, 574, 634],
-    [692, 697, 812],
-    [575, 635, 812, 697],
-    [571, 631, 812, 692],
-    [631, 635, 812],
-    [452, 457, 697, 692],
-    [457, 575, 697],
-    [452, 571, 692],
-    [395, 575, 635],
-    [391, 571, 631],
-    [693, 699, 814],
-    [576, 637, 814, 699],
-    [572, 632, 814, 693],
-    [632, 637, 814],
-    [453, 459, 699, 693],
-    [459, 576, 699],
-    [453, 572, 693],
-    [397, 576, 637],
-    [392, 572, 632],
-    [694, 700, 813],
-    [577, 636, 813, 700],
-    [571, 631, 813, 694],
-    [631, 636, 813],
-    [454, 460, 700, 694],
-    [460, 577, 700],
-    [454, 571, 694],
-    [396, 577, 636],
-    [695, 701, 815],
-    [578, 638, 815, 701],
-    [572, 632, 815, 695],
-    [632, 638, 815],
-    [455, 461, 701, 695],
-    [461, 578, 701],
-    [455, 572, 695],
-    [398, 578, 638],
-    [702, 708, 816],
-    [579, 639, 816, 708],
-    [573, 633, 816, 702],
-    [633, 639, 816],
-    [462, 468, 708, 702],
-    [468, 579, 708],
-    [462, 573, 702],
-    [399, 579, 639],
-    [703, 709, 817],
-    [580, 640, 817, 709],
-    [574, 634, 817, 703],
-    [634, 640, 817],
-    [463, 470, 709, 703],
-    [470, 580, 709],
-    [463, 574, 703],
-    [400, 580, 640],
-    [704, 710, 818],
-    [581, 641, 818, 710],
-    [575, 635, 818, 704],
-    [635, 641, 818],
-    [464, 473, 710, 704],
-    [473, 581, 710],
-    [464, 575, 704],
-    [401, 581, 641],
-    [705, 711, 820],
-    [583, 643, 820, 711],
-    [576, 637, 820, 705],
-    [637, 643, 820],
-    [465, 475, 711, 705],
-    [475, 583, 711],
-    [465, 576, 705],
-    [403, 583, 643],
-    [706, 712, 819],
-    [582, 642, 819, 712],
-    [577, 636, 819, 706],
-    [636, 642, 819],
-    [466, 476, 712, 706],
-    [476, 582, 712],
-    [466, 577, 706],
-    [402, 582, 642],
-    [707, 713, 821],
-    [584, 644, 821, 713],
-    [578, 638, 821, 707],
-    [638, 644, 821],
-    [467, 478, 713, 707],
-    [478, 584, 713],
-    [467, 578, 707],
-    [404, 584, 644],
-    [720, 721, 822],
-    [580, 640, 822, 721],
-    [579, 639, 822, 720],
-    [639, 640, 822],
-    [480, 482, 721, 720],
-    [482, 580, 721],
-    [480, 579, 720],
-    [722, 723, 823],
-    [582, 642, 823, 723],
-    [581, 641, 823, 722],
-    [641, 642, 823],
-    [485, 487, 723, 722],
-    [487, 582, 723],
-    [485, 581, 722],
-    [724, 725, 824],
-    [584, 644, 824, 725],
-    [583, 643, 824, 724],
-    [643, 644, 824],
-    [488, 490, 725, 724],
-    [490, 584, 725],
-    [488, 583, 724],
-    [714, 726, 825],
-    [588, 648, 825, 726],
-    [585, 645, 825, 714],
-    [645, 648, 825],
-    [469, 481, 726, 714],
-    [481, 588, 726],
-    [469, 585, 714],
-    [408, 588, 648],
-    [405, 585, 645],
-    [715, 727, 826],
-    [589, 649, 826, 727],
-    [585, 645, 826, 715],
-    [645, 649, 826],
-    [471, 484, 727, 715],
-    [484, 589, 727],
-    [471, 585, 715],
-    [409, 589, 649],
-    [716, 728, 827],
-    [590, 650, 827, 728],
-    [586, 646, 827, 716],
-    [646, 650, 827],
-    [472, 483, 728, 716],
-    [483, 590, 728],
-    [472, 586, 716],
-    [410, 590, 650],
-    [406, 586, 646],
-    [717, 729, 828],
-    [591, 651, 828, 729],
-    [586, 646, 828, 717],
-    [646, 651, 828],
-    [474, 486, 729, 717],
-    [486, 591, 729],
-    [474, 586, 717],
-    [411, 591, 651],
-    [718, 730, 829],
-    [592, 652, 829, 730],
-    [587, 647, 829, 718],
-    [647, 652, 829],
-    [477, 489, 730, 718],
-    [489, 592, 730],
-    [477, 587, 718],
-    [412, 592, 652],
-    [407, 587, 647],
-    [719, 731, 830],
-    [593, 653, 830, 731],
-    [587, 647, 830, 719],
-    [647, 653, 830],
-    [479, 491, 731, 719],
-    [491, 593, 731],
-    [479, 587, 719],
-    [413, 593, 653],
-    [732, 733, 837],
-    [595, 661, 837, 733],
-    [594, 660, 837, 732],
-    [660, 661, 837],
-    [492, 493, 733, 732],
-    [493, 595, 733],
-    [492, 594, 732],
-    [421, 595, 661],
-    [420, 594, 660],
-    [738, 750, 831],
-    [600, 654, 831, 750],
-    [588, 648, 831, 738],
-    [648, 654, 831],
-    [498, 510, 750, 738],
-    [510, 600, 750],
-    [498, 588, 738],
-    [414, 600, 654],
-    [740, 751, 832],
-    [601, 655, 832, 751],
-    [589, 649, 832, 740],
-    [649, 655, 832],
-    [500, 512, 751, 740],
-    [512, 601, 751],
-    [500, 589, 740],
-    [415, 601, 655],
-    [739, 752, 833],
-    [602, 656, 833, 752],
-    [590, 650, 833, 739],
-    [650, 656, 833],
-    [499, 511, 752, 739],
-    [511, 602, 752],
-    [499, 590, 739],
-    [416, 602, 656],
-    [741, 753, 834],
-    [603, 657, 834, 753],
-    [591, 651, 834, 741],
-    [651, 657, 834],
-    [501, 513, 753, 741],
-    [513, 603, 753],
-    [501, 591, 741],
-    [417, 603, 657],
-    [734, 735, 838],
-    [597, 663, 838, 735],
-    [596, 662, 838, 734],
-    [662, 663, 838],
-    [494, 495, 735, 734],
-    [495, 597, 735],
-    [494, 596, 734],
-    [423, 597, 663],
-    [422, 596, 662],
-    [736, 737, 839],
-    [599, 665, 839, 737],
-    [598, 664, 839, 736],
-    [664, 665, 839],
-    [496, 497, 737, 736],
-    [497, 599, 737],
-    [496, 598, 736],
-    [425, 599, 665],
-    [424, 598, 664],
-    [742, 754, 835],
-    [604, 658, 835, 754],
-    [592, 652, 835, 742],
-    [652, 658, 835],
-    [502, 514, 754, 742],
-    [514, 604, 754],
-    [502, 592, 742],
-    [418, 604, 658],
-    [743, 755, 836],
-    [605, 659, 836, 755],
-    [593, 653, 836, 743],
-    [653, 659, 836],
-    [503, 515, 755, 743],
-    [515, 605, 755],
-    [503, 593, 743],
-    [419, 605, 659],
-    [744, 756, 843],
-    [606, 666, 843, 756],
-    [594, 660, 843, 744],
-    [660, 666, 843],
-    [504, 516, 756, 744],
-    [516, 606, 756],
-    [504, 594, 744],
-    [426, 606, 666],
-    [745, 757, 844],
-    [607, 667, 844, 757],
-    [595, 661, 844, 745],
-    [661, 667, 844],
-    [505, 517, 757, 745],
-    [517, 607, 757],
-    [505, 595, 745],
-    [427, 607, 667],
-    [762, 763, 840],
-    [601, 655, 840, 763],
-    [600, 654, 840, 762],
-    [654, 655, 840],
-    [522, 523, 763, 762],
-    [523, 601, 763],
-    [522, 600, 762],
-    [764, 765, 841],
-    [603, 657, 841, 765],
-    [602, 656, 841, 764],
-    [656, 657, 841],
-    [524, 525, 765, 764],
-    [525, 603, 765],
-    [524, 602, 764],
-    [746, 758, 845],
-    [608, 668, 845, 758],
-    [596, 662, 845, 746],
-    [662, 668, 845],
-    [506, 518, 758, 746],
-    [518, 608, 758],
-    [506, 596, 746],
-    [428, 608, 668],
-    [747, 760, 846],
-    [609, 669, 846, 760],
-    [597, 663, 846, 747],
-    [663, 669, 846],
-    [508, 520, 760, 747],
-    [520, 609, 760],
-    [508, 597, 747],
-    [429, 609, 669],
-    [748, 759, 847],
-    [610, 670, 847, 759],
-    [598, 664, 847, 748],
-    [664, 670, 847],
-    [507, 519, 759, 748],
-    [519, 610, 759],
-    [507, 598, 748],
-    [430, 610, 670],
-    [749, 761, 848],
-    [611, 671, 848, 761],
-    [599, 665, 848, 749],
-    [665, 671, 848],
-    [509, 521, 761, 749],
-    [521, 611, 761],
-    [509, 599, 749],
-    [431, 611, 671],
-    [766, 767, 842],
-    [605, 659, 842, 767],
-    [604, 658, 842, 766],
-    [658, 659, 842],
-    [526, 527, 767, 766],
-    [527, 605, 767],
-    [526, 604, 766],
-    [768, 780, 849],
-    [612, 672, 849, 780],
-    [606, 666, 849, 768],
-    [666, 672, 849],
-    [528, 540, 780, 768],
-    [540, 612, 780],
-    [528, 606, 768],
-    [432, 612, 672],
-    [769, 781, 850],
-    [612, 672, 850, 781],
-    [607, 667, 850, 769],
-    [667, 672, 850],
-    [530, 542, 781, 769],
-    [542, 612, 781],
-    [530, 607, 769],
-    [770, 782, 851],
-    [613, 673, 851, 782],
-    [608, 668, 851, 770],
-    [668, 673, 851],
-    [533, 545, 782, 770],
-    [545, 613, 782],
-    [533, 608, 770],
-    [433, 613, 673],
-    [771, 783, 852],
-    [613, 673, 852, 783],
-    [609, 669, 852, 771],
-    [669, 673, 852],
-    [536, 547, 783, 771],
-    [547, 613, 783],
-    [536, 609, 771],
-    [772, 784, 853],
-    [614, 674, 853, 784],
-    [610, 670, 853, 772],
-    [670, 674, 853],
-    [535, 548, 784, 772],
-    [548, 614, 784],
-    [535, 610, 772],
-    [434, 614, 674],
-    [773, 785, 854],
-    [614, 674, 854, 785],
-    [611, 671, 854, 773],
-    [671, 674, 854],
-    [538, 550, 785, 773],
-    [550, 614, 785],
-    [538, 611, 773],
-    [774, 775, 855],
-    [616, 676, 855, 775],
-    [615, 675, 855, 774],
-    [675, 676, 855],
-    [529, 531, 775, 774],
-    [531, 616, 775],
-    [529, 615, 774],
-    [436, 616, 676],
-    [435, 615, 675],
-    [776, 777, 856],
-    [618, 678, 856, 777],
-    [617, 677, 856, 776],
-    [677, 678, 856],
-    [532, 534, 777, 776],
-    [534, 618, 777],
-    [532, 617, 776],
-    [438, 618, 678],
-    [437, 617, 677],
-    [778, 779, 857],
-    [620, 680, 857, 779],
-    [619, 679, 857, 778],
-    [679, 680, 857],
-    [537, 539, 779, 778],
-    [539, 620, 779],
-    [537, 619, 778],
-    [440, 620, 680],
-    [439, 619, 679],
-    [786, 792, 858],
-    [621, 681, 858, 792],
-    [615, 675, 858, 786],
-    [675, 681, 858],
-    [541, 552, 792, 786],
-    [552, 621, 792],
-    [541, 615, 786],
-    [441, 621, 681],
-    [787, 793, 860],
-    [622, 683, 860, 793],
-    [617, 677, 860, 787],
-    [677, 683, 860],
-    [543, 553, 793, 787],
-    [553, 622, 793],
-    [543, 617, 787],
-    [443, 622, 683],
-    [788, 794, 859],
-    [623, 682, 859, 794],
-    [616, 676, 859, 788],
-    [676, 682, 859],
-    [544, 554, 794, 788],
-    [554, 623, 794],
-    [544, 616, 788],
-    [442, 623, 682],
-    [789, 795, 861],
-    [624, 684, 861, 795],
-    [618, 678, 861, 789],
-    [678, 684, 861],
-    [546, 555, 795, 789],
-    [555, 624, 795],
-    [546, 618, 789],
-    [444, 624, 684],
-    [790, 796, 862],
-    [625, 685, 862, 796],
-    [619, 679, 862, 790],
-    [679, 685, 862],
-    [549, 556, 796, 790],
-    [556, 625, 796],
-    [549, 619, 790],
-    [445, 625, 685],
-    [791, 797, 863],
-    [626, 686, 863, 797],
-    [620, 680, 863, 791],
-    [680, 686, 863],
-    [551, 557, 797, 791],
-    [557, 626, 797],
-    [551, 620, 791],
-    [446, 626, 686],
-    [798, 804, 864],
-    [627, 687, 864, 804],
-    [621, 681, 864, 798],
-    [681, 687, 864],
-    [558, 564, 804, 798],
-    [564, 627, 804],
-    [558, 621, 798],
-    [447, 627, 687],
-    [799, 805, 866],
-    [628, 688, 866, 805],
-    [622, 683, 866, 799],
-    [683, 688, 866],
-    [559, 565, 805, 799],
-    [565, 628, 805],
-    [559, 622, 799],
-    [448, 628, 688],
-    [800, 806, 865],
-    [627, 687, 865, 806],
-    [623, 682, 865, 800],
-    [682, 687, 865],
-    [560, 566, 806, 800],
-    [566, 627, 806],
-    [560, 623, 800],
-    [802, 807, 867],
-    [628, 688, 867, 807],
-    [624, 684, 867, 802],
-    [684, 688, 867],
-    [562, 567, 807, 802],
-    [567, 628, 807],
-    [562, 624, 802],
-    [801, 808, 868],
-    [629, 689, 868, 808],
-    [625, 685, 868, 801],
-    [685, 689, 868],
-    [561, 568, 808, 801],
-    [568, 629, 808],
-    [561, 625, 801],
-    [449, 629, 689],
-    [803, 809, 869],
-    [629, 689, 869, 809],
-    [626, 686, 869, 803],
-    [686, 689, 869],
-    [563, 569, 809, 803],
-    [569, 629, 809],
-    [563, 626, 803],
-    [450, 452, 692, 870, 690],
-    [456, 457, 697, 873, 696],
-    [692, 697, 873, 870],
-    [690, 696, 873, 870],
-    [451, 453, 693, 871, 691],
-    [458, 459, 699, 874, 698],
-    [693, 699, 874, 871],
-    [691, 698, 874, 871],
-    [454, 455, 695, 872, 694],
-    [460, 461, 701, 875, 700],
-    [694, 700, 875, 872],
-    [695, 701, 875, 872],
-    [468, 481, 726, 882, 708],
-    [462, 469, 714, 876, 702],
-    [714, 726, 882, 876],
-    [702, 708, 882, 876],
-    [463, 472, 716, 878, 703],
-    [470, 483, 728, 883, 709],
-    [716, 728, 883, 878],
-    [703, 709, 883, 878],
-    [464, 471, 715, 877, 704],
-    [473, 484, 727, 884, 710],
-    [704, 710, 884, 877],
-    [715, 727, 884, 877],
-    [465, 474, 717, 879, 705],
-    [475, 486, 729, 885, 711],
-    [717, 729, 885, 879],
-    [705, 711, 885, 879],
-    [466, 477, 718, 880, 706],
-    [476, 489, 730, 886, 712],
-    [706, 712, 886, 880],
-    [718, 730, 886, 880],
-    [467, 479, 719, 881, 707],
-    [478, 491, 731, 887, 713],
-    [707, 713, 887, 881],
-    [719, 731, 887, 881],
-    [480, 492, 732, 888, 720],
-    [482, 493, 733, 889, 721],
-    [732, 733, 889, 888],
-    [720, 721, 889, 888],
-    [487, 495, 735, 891, 723],
-    [485, 494, 734, 890, 722],
-    [734, 735, 891, 890],
-    [722, 723, 891, 890],
-    [490, 497, 737, 893, 725],
-    [488, 496, 736, 892, 724],
-    [736, 737, 893, 892],
-    [724, 725, 893, 892],
-    [498, 504, 744, 894, 738],
-    [510, 516, 756, 900, 750],
-    [738, 750, 900, 894],
-    [744, 756, 900, 894],
-    [499, 505, 745, 895, 739],
-    [511, 517, 757, 901, 752],
-    [739, 752, 901, 895],
-    [745, 757, 901, 895],
-    [512, 518, 758, 902, 751],
-    [500, 506, 746, 896, 740],
-    [746, 758, 902, 896],
-    [740, 751, 902, 896],
-    [501, 507, 748, 897, 741],
-    [513, 519, 759, 903, 753],
-    [741, 753, 903, 897],
-    [748, 759, 903, 897],
-    [514, 520, 760, 904, 754],
-    [502, 508, 747, 898, 742],
-    [747, 760, 904, 898],
-    [742, 754, 904, 898],
-    [515, 521, 761, 905, 755],
-    [503, 509, 749, 899, 743],
-    [749, 761, 905, 899],
-    [743, 755, 905, 899],
-    [522, 529, 774, 906, 762],
-    [523, 531, 775, 907, 763],
-    [762, 763, 907, 906],
-    [774, 775, 907, 906],
-    [524, 532, 776, 908, 764],
-    [525, 534, 777, 909, 765],
-    [764, 765, 909, 908],
-    [776, 777, 909, 908],
-    [527, 539, 779, 911, 767],
-    [526, 537, 778, 910, 766],
-    [766, 767, 911, 910],
-    [778, 779, 911, 910],
-    [528, 541, 786, 912, 768],
-    [540, 552, 792, 918, 780],
-    [768, 780, 918, 912],
-    [786, 792, 918, 912],
-    [542, 553, 793, 919, 781],
-    [530, 543, 787, 913, 769],
-    [787, 793, 919, 913],
-    [769, 781, 919, 913],
-    [545, 554, 794, 920, 782],
-    [533, 544, 788, 914, 770],
-    [770, 782, 920, 914],
-    [788, 794, 920, 914],
-    [548, 555, 795, 922, 784],
-    [535, 546, 789, 915, 772],
-    [772, 784, 922, 915],
-    [789, 795, 922, 915],
-    [536, 549, 790, 916, 771],
-    [547, 556, 796, 921, 783],
-    [771, 783, 921, 916],
-    [790, 796, 921, 916],
-    [538, 551, 791, 917, 773],
-    [550, 557, 797, 923, 785],
-    [773, 785, 923, 917],
-    [791, 797, 923, 917],
-    [564, 565, 805, 927, 804],
-    [558, 559, 799, 924, 798],
-    [799, 805, 927, 924],
-    [798, 804, 927, 924],
-    [566, 568, 808, 928, 806],
-    [560, 561, 801, 925, 800],
-    [800, 806, 928, 925],
-    [801, 808, 928, 925],
-    [567, 569, 809, 929, 807],
-    [562, 563, 803, 926, 802],
-    [802, 807, 929, 926],
-    [803, 809, 929, 926],
-    [1170, 1171, 1172],
-    [872, 934, 1171, 1172, 935],
-    [871, 931, 1170, 1172, 933],
-    [933, 935, 1172],
-    [870, 930, 1170, 1171, 932],
-    [932, 934, 1171],
-    [930, 931, 1170],
-    [572, 693, 933, 935, 695],
-    [695, 872, 935],
-    [571, 692, 932, 934, 694],
-    [694, 872, 934],
-    [693, 871, 933],
-    [692, 870, 932],
-    [570, 690, 930, 931, 691],
-    [691, 871, 931],
-    [690, 870, 930],
-    [1176, 1177, 1182],
-    [877, 943, 1177, 1182, 949],
-    [876, 942, 1176, 1182, 948],
-    [948, 949, 1182],
-    [873, 936, 1176, 1177, 937],
-    [937, 943, 1177],
-    [936, 942, 1176],
-    [585, 714, 948, 949, 715],
-    [715, 877, 949],
-    [714, 876, 948],
-    [575, 697, 937, 943, 704],
-    [704, 877, 943],
-    [573, 696, 936, 942, 702],
-    [702, 876, 942],
-    [697, 873, 937],
-    [696, 873, 936],
-    [1178, 1179, 1183],
-    [879, 945, 1179, 1183, 951],
-    [878, 944, 1178, 1183, 950],
-    [950, 951, 1183],
-    [874, 938, 1178, 1179, 939],
-    [939, 945, 1179],
-    [938, 944, 1178],
-    [586, 716, 950, 951, 717],
-    [717, 879, 951],
-    [716, 878, 950],
-    [576, 699, 939, 945, 705],
-    [705, 879, 945],
-    [574, 698, 938, 944, 703],
-    [703, 878, 944],
-    [699, 874, 939],
-    [698, 874, 938],
-    [1180, 1181, 1184],
-    [881, 947, 1181, 1184, 953],
-    [880, 946, 1180, 1184, 952],
-    [952, 953, 1184],
-    [875, 940, 1180, 1181, 941],
-    [941, 947, 1181],
-    [940, 946, 1180],
-    [587, 718, 952, 953, 719],
-    [719, 881, 953],
-    [718, 880, 952],
-    [578, 701, 941, 947, 707],
-    [707, 881, 947],
-    [577, 700, 940, 946, 706],
-    [706, 880, 946],
-    [701, 875, 941],
-    [700, 875, 940],
-    [1191, 1200, 1206],
-    [894, 973, 1200, 1206, 984],
-    [888, 960, 1191, 1206, 972],
-    [972, 984, 1206],
-    [882, 954, 1191, 1200, 966],
-    [966, 973, 1200],
-    [954, 960, 1191],
-    [594, 732, 972, 984, 744],
-    [744, 894, 984],
-    [588, 726, 966, 973, 738],
-    [738, 894, 973],
-    [732, 888, 972],
-    [726, 882, 966],
-    [579, 708, 954, 960, 720],
-    [720, 888, 960],
-    [708, 882, 954],
-    [1192, 1201, 1207],
-    [895, 975, 1201, 1207, 985],
-    [889, 961, 1192, 1207, 974],
-    [974, 985, 1207],
-    [883, 955, 1192, 1201, 967],
-    [967, 975, 1201],
-    [955, 961, 1192],
-    [595, 733, 974, 985, 745],
-    [745, 895, 985],
-    [590, 728, 967, 975, 739],
-    [739, 895, 975],
-    [733, 889, 974],
-    [728, 883, 967],
-    [580, 709, 955, 961, 721],
-    [721, 889, 961],
-    [709, 883, 955],
-    [1193, 1202, 1208],
-    [896, 976, 1202, 1208, 986],
-    [890, 962, 1193, 1208, 977],
-    [977, 986, 1208],
-    [884, 956, 1193, 1202, 968],
-    [968, 976, 1202],
-    [956, 962, 1193],
-    [596, 734, 977, 986, 746],
-    [746, 896, 986],
-    [734, 890, 977],
-    [589, 727, 968, 976, 740],
-    [740, 896, 976],
-    [727, 884, 968],
-    [581, 710, 956, 962, 722],
-    [722, 890, 962],
-    [710, 884, 956],
-    [1195, 1203, 1210],
-    [897, 978, 1203, 1210, 988],
-    [892, 964, 1195, 1210, 980],
-    [980, 988, 1210],
-    [885, 957, 1195, 1203, 969],
-    [969, 978, 1203],
-    [957, 964, 1195],
-    [598, 736, 980, 988, 748],
-    [748, 897, 988],
-    [736, 892, 980],
-    [591, 729, 969, 978, 741],
-    [741, 897, 978],
-    [729, 885, 969],
-    [583, 711, 957, 964, 724],
-    [724, 892, 964],
-    [711, 885, 957],
-    [1194, 1204, 1209],
-    [898, 981, 1204, 1209, 987],
-    [891, 963, 1194, 1209, 979],
-    [979, 987, 1209],
-    [886, 958, 1194, 1204, 970],
-    [970, 981, 1204],
-    [958, 963, 1194],
-    [597, 735, 979, 987, 747],
-    [747, 898, 987],
-    [592, 730, 970, 981, 742],
-    [742, 898, 981],
-    [735, 891, 979],
-    [730, 886, 970],
-    [582, 712, 958, 963, 723],
-    [723, 891, 963],
-    [712, 886, 958],
-    [1196, 1205, 1211],
-    [899, 983, 1205, 1211, 989],
-    [893, 965, 1196, 1211, 982],
-    [982, 989, 1211],
-    [887, 959, 1196, 1205, 971],
-    [971, 983, 1205],
-    [959, 965, 1196],
-    [599, 737, 982, 989, 749],
-    [749, 899, 989],
-    [593, 731, 971, 983, 743],
-    [743, 899, 983],
-    [737, 893, 982],
-    [731, 887, 971],
-    [584, 713, 959, 965, 725],
-    [725, 893, 965],
-    [713, 887, 959],
-    [1218, 1224, 1233],
-    [912, 1008, 1224, 1233, 1020],
-    [906, 997, 1218, 1233, 1014],
-    [1014, 1020, 1233],
-    [900, 990, 1218, 1224, 996],
-    [996, 1008, 1224],
-    [990, 997, 1218],
-    [615, 774, 1014, 1020, 786],
-    [786, 912, 1020],
-    [774, 906, 1014],
-    [606, 756, 996, 1008, 768],
-    [768, 912, 1008],
-    [600, 750, 990, 997, 762],
-    [762, 906, 997],
-    [756, 900, 996],
-    [750, 900, 990],
-    [1220, 1225, 1235],
-    [913, 1009, 1225, 1235, 1021],
-    [908, 1000, 1220, 1235, 1016],
-    [1016, 1021, 1235],
-    [901, 992, 1220, 1225, 998],
-    [998, 1009, 1225],
-    [992, 1000, 1220],
-    [617, 776, 1016, 1021, 787],
-    [787, 913, 1021],
-    [776, 908, 1016],
-    [607, 757, 998, 1009, 769],
-    [769, 913, 1009],
-    [602, 752, 992, 1000, 764],
-    [764, 908, 1000],
-    [757, 901, 998],
-    [752, 901, 992],
-    [1219, 1226, 1234],
-    [914, 1010, 1226, 1234, 1022],
-    [907, 999, 1219, 1234, 1015],
-    [1015, 1022, 1234],
-    [902, 991, 1219, 1226, 1001],
-    [1001, 1010, 1226],
-    [991, 999, 1219],
-    [616, 775, 1015, 1022, 788],
-    [788, 914, 1022],
-    [775, 907, 1015],
-    [608, 758, 1001, 1010, 770],
-    [770, 914, 1010],
-    [758, 902, 1001],
-    [601, 751, 991, 999, 763],
-    [763, 907, 999],
-    [751, 902, 991],
-    [1221, 1227, 1236],
-    [915, 1011, 1227, 1236, 1023],
-    [909, 1002, 1221, 1236, 1017],
-    [1017, 1023, 1236],
-    [903, 993, 1221, 1227, 1003],
-    [1003, 1011, 1227],
-    [993, 1002, 1221],
-    [618, 777, 1017, 1023, 789],
-    [789, 915, 1023],
-    [777, 909, 1017],
-    [610, 759, 1003, 1011, 772],
-    [772, 915, 1011],
-    [759, 903, 1003],
-    [603, 753, 993, 1002, 765],
-    [765, 909, 1002],
-    [753, 903, 993],
-    [1222, 1228, 1237],
-    [916, 1012, 1228, 1237, 1024],
-    [910, 1005, 1222, 1237, 1018],
-    [1018, 1024, 1237],
-    [904, 994, 1222, 1228, 1004],
-    [1004, 1012, 1228],
-    [994, 1005, 1222],
-    [619, 778, 1018, 1024, 790],
-    [790, 916, 1024],
-    [778, 910, 1018],
-    [609, 760, 1004, 1012, 771],
-    [771, 916, 1012],
-    [604, 754, 994, 1005, 766],
-    [766, 910, 1005],
-    [760, 904, 1004],
-    [754, 904, 994],
-    [1223, 1229, 1238],
-    [917, 1013, 1229, 1238, 1025],
-    [911, 1007, 1223, 1238, 1019],
-    [1019, 1025, 1238],
-    [905, 995, 1223, 1229, 1006],
-    [1006, 1013, 1229],
-    [995, 1007, 1223],
-    [620, 779, 1019, 1025, 791],
-    [791, 917, 1025],
-    [779, 911, 1019],
-    [611, 761, 1006, 1013, 773],
-    [773, 917, 1013],
-    [605, 755, 995, 1007, 767],
-    [767, 911, 1007],
-    [761, 905, 1006],
-    [755, 905, 995],
-    [1245, 1248, 1249],
-    [924, 1038, 1248, 1249, 1039],
-    [919, 1027, 1245, 1249, 1033],
-    [1033, 1039, 1249],
-    [918, 1026, 1245, 1248, 1032],
-    [1032, 1038, 1248],
-    [1026, 1027, 1245],
-    [622, 793, 1033, 1039, 799],
-    [799, 924, 1039],
-    [621, 792, 1032, 1038, 798],
-    [798, 924, 1038],
-    [793, 919, 1033],
-    [792, 918, 1032],
-    [612, 780, 1026, 1027, 781],
-    [781, 919, 1027],
-    [780, 918, 1026],
-    [1246, 1250, 1251],
-    [925, 1040, 1250, 1251, 1041],
-    [921, 1029, 1246, 1251, 1035],
-    [1035, 1041, 1251],
-    [920, 1028, 1246, 1250, 1034],
-    [1034, 1040, 1250],
-    [1028, 1029, 1246],
-    [625, 796, 1035, 1041, 801],
-    [801, 925, 1041],
-    [623, 794, 1034, 1040, 800],
-    [800, 925, 1040],
-    [796, 921, 1035],
-    [794, 920, 1034],
-    [613, 782, 1028, 1029, 783],
-    [783, 921, 1029],
-    [782, 920, 1028],
-    [1247, 1252, 1253],
-    [926, 1042, 1252, 1253, 1043],
-    [923, 1031, 1247, 1253, 1037],
-    [1037, 1043, 1253],
-    [922, 1030, 1247, 1252, 1036],
-    [1036, 1042, 1252],
-    [1030, 1031, 1247],
-    [626, 797, 1037, 1043, 803],
-    [803, 926, 1043],
-    [624, 795, 1036, 1042, 802],
-    [802, 926, 1042],
-    [797, 923, 1037],
-    [795, 922, 1036],
-    [614, 784, 1030, 1031, 785],
-    [785, 923, 1031],
-    [784, 922, 1030],
-    [1257, 1258, 1259],
-    [929, 1047, 1258, 1259, 1049],
-    [928, 1046, 1257, 1259, 1048],
-    [1048, 1049, 1259],
-    [927, 1044, 1257, 1258, 1045],
-    [1045, 1047, 1258],
-    [1044, 1046, 1257],
-    [629, 808, 1048, 1049, 809],
-    [809, 929, 1049],
-    [808, 928, 1048],
-    [628, 805, 1045, 1047, 807],
-    [807, 929, 1047],
-    [627, 804, 1044, 1046, 806],
-    [806, 928, 1046],
-    [805, 927, 1045],
-    [804, 927, 1044],
-    [690, 810, 1050, 930],
-    [691, 811, 1051, 931],
-    [630, 810, 1050, 1051, 811],
-    [930, 931, 1051, 1050],
-    [631, 812, 1052, 1053, 813],
-    [694, 813, 1053, 934],
-    [932, 934, 1053, 1052],
-    [692, 812, 1052, 932],
-    [695, 815, 1055, 935],
-    [693, 814, 1054, 933],
-    [632, 814, 1054, 1055, 815],
-    [933, 935, 1055, 1054],
-    [633, 810, 1056, 1062, 816],
-    [936, 942, 1062, 1056],
-    [696, 810, 1056, 936],
-    [702, 816, 1062, 942],
-    [703, 817, 1063, 944],
-    [634, 811, 1057, 1063, 817],
-    [698, 811, 1057, 938],
-    [938, 944, 1063, 1057],
-    [697, 812, 1058, 937],
-    [704, 818, 1064, 943],
-    [635, 812, 1058, 1064, 818],
-    [937, 943, 1064, 1058],
-    [705, 820, 1065, 945],
-    [699, 814, 1059, 939],
-    [637, 814, 1059, 1065, 820],
-    [939, 945, 1065, 1059],
-    [700, 813, 1060, 940],
-    [706, 819, 1066, 946],
-    [636, 813, 1060, 1066, 819],
-    [940, 946, 1066, 1060],
-    [638, 815, 1061, 1067, 821],
-    [701, 815, 1061, 941],
-    [941, 947, 1067, 1061],
-    [707, 821, 1067, 947],
-    [708, 816, 1068, 954],
-    [720, 822, 1074, 960],
-    [639, 816, 1068, 1074, 822],
-    [954, 960, 1074, 1068],
-    [709, 817, 1069, 955],
-    [640, 817, 1069, 1075, 822],
-    [721, 822, 1075, 961],
-    [955, 961, 1075, 1069],
-    [722, 823, 1076, 962],
-    [641, 818, 1070, 1076, 823],
-    [710, 818, 1070, 956],
-    [956, 962, 1076, 1070],
-    [723, 823, 1077, 963],
-    [712, 819, 1071, 958],
-    [642, 819, 1071, 1077, 823],
-    [958, 963, 1077, 1071],
-    [643, 820, 1072, 1078, 824],
-    [711, 820, 1072, 957],
-    [724, 824, 1078, 964],
-    [957, 964, 1078, 1072],
-    [713, 821, 1073, 959],
-    [725, 824, 1079, 965],
-    [644, 821, 1073, 1079, 824],
-    [959, 965, 1079, 1073],
-    [714, 825, 1080, 948],
-    [715, 826, 1081, 949],
-    [645, 825, 1080, 1081, 826],
-    [948, 949, 1081, 1080],
-    [646, 827, 1082, 1083, 828],
-    [716, 827, 1082, 950],
-    [717, 828, 1083, 951],
-    [950, 951, 1083, 1082],
-    [719, 830, 1085, 953],
-    [718, 829, 1084, 952],
-    [647, 829, 1084, 1085, 830],
-    [952, 953, 1085, 1084],
-    [648, 825, 1086, 1092, 831],
-    [738, 831, 1092, 973],
-    [966, 973, 1092, 1086],
-    [726, 825, 1086, 966],
-    [740, 832, 1093, 976],
-    [649, 826, 1087, 1093, 832],
-    [727, 826, 1087, 968],
-    [968, 976, 1093, 1087],
-    [650, 827, 1088, 1094, 833],
-    [728, 827, 1088, 967],
-    [739, 833, 1094, 975],
-    [967, 975, 1094, 1088],
-    [651, 828, 1089, 1095, 834],
-    [729, 828, 1089, 969],
-    [741, 834, 1095, 978],
-    [969, 978, 1095, 1089],
-    [652, 829, 1090, 1096, 835],
-    [742, 835, 1096, 981],
-    [730, 829, 1090, 970],
-    [970, 981, 1096, 1090],
-    [653, 830, 1091, 1097, 836],
-    [743, 836, 1097, 983],
-    [971, 983, 1097, 1091],
-    [731, 830, 1091, 971],
-    [744, 843, 1110, 984],
-    [732, 837, 1098, 972],
-    [660, 837, 1098, 1110, 843],
-    [972, 984, 1110, 1098],
-    [745, 844, 1111, 985],
-    [733, 837, 1099, 974],
-    [661, 837, 1099, 1111, 844],
-    [974, 985, 1111, 1099],
-    [662, 838, 1100, 1112, 845],
-    [977, 986, 1112, 1100],
-    [734, 838, 1100, 977],
-    [746, 845, 1112, 986],
-    [663, 838, 1101, 1113, 846],
-    [747, 846, 1113, 987],
-    [735, 838, 1101, 979],
-    [979, 987, 1113, 1101],
-    [748, 847, 1114, 988],
-    [736, 839, 1102, 980],
-    [664, 839, 1102, 1114, 847],
-    [980, 988, 1114, 1102],
-    [749, 848, 1115, 989],
-    [737, 839, 1103, 982],
-    [665, 839, 1103, 1115, 848],
-    [982, 989, 1115, 1103],
-    [750, 831, 1104, 990],
-    [762, 840, 1116, 997],
-    [654, 831, 1104, 1116, 840],
-    [990, 997, 1116, 1104],
-    [751, 832, 1105, 991],
-    [763, 840, 1117, 999],
-    [655, 832, 1105, 1117, 840],
-    [991, 999, 1117, 1105],
-    [656, 833, 1106, 1118, 841],
-    [752, 833, 1106, 992],
-    [764, 841, 1118, 1000],
-    [992, 1000, 1118, 1106],
-    [657, 834, 1107, 1119, 841],
-    [993, 1002, 1119, 1107],
-    [753, 834, 1107, 993],
-    [765, 841, 1119, 1002],
-    [754, 835, 1108, 994],
-    [766, 842, 1120, 1005],
-    [658, 835, 1108, 1120, 842],
-    [994, 1005, 1120, 1108],
-    [755, 836, 1109, 995],
-    [767, 842, 1121, 1007],
-    [659, 836, 1109, 1121, 842],
-    [995, 1007, 1121, 1109],
-    [666, 843, 1122, 1128, 849],
-    [756, 843, 1122, 996],
-    [996, 1008, 1128, 1122],
-    [768, 849, 1128, 1008],
-    [667, 844, 1123, 1129, 850],
-    [757, 844, 1123, 998],
-    [769, 850, 1129, 1009],
-    [998, 1009, 1129, 1123],
-    [668, 845, 1124, 1130, 851],
-    [770, 851, 1130, 1010],
-    [758, 845, 1124, 1001],
-    [1001, 1010, 1130, 1124],
-    [669, 846, 1125, 1131, 852],
-    [771, 852, 1131, 1012],
-    [760, 846, 1125, 1004],
-    [1004, 1012, 1131, 1125],
-    [759, 847, 1126, 1003],
-    [670, 847, 1126, 1132, 853],
-    [772, 853, 1132, 1011],
-    [1003, 1011, 1132, 1126],
-    [671, 848, 1127, 1133, 854],
-    [761, 848, 1127, 1006],
-    [1006, 1013, 1133, 1127],
-    [773, 854, 1133, 1013],
-    [780, 849, 1134, 1026],
-    [781, 850, 1135, 1027],
-    [672, 849, 1134, 1135, 850],
-    [1026, 1027, 1135, 1134],
-    [673, 851, 1136, 1137, 852],
-    [783, 852, 1137, 1029],
-    [782, 851, 1136, 1028],
-    [1028, 1029, 1137, 1136],
-    [785, 854, 1139, 1031],
-    [784, 853, 1138, 1030],
-    [674, 853, 1138, 1139, 854],
-    [1030, 1031, 1139, 1138],
-    [786, 858, 1146, 1020],
-    [774, 855, 1140, 1014],
-    [675, 855, 1140, 1146, 858],
-    [1014, 1020, 1146, 1140],
-    [676, 855, 1141, 1147, 859],
-    [788, 859, 1147, 1022],
-    [775, 855, 1141, 1015],
-    [1015, 1022, 1147, 1141],
-    [776, 856, 1142, 1016],
-    [787, 860, 1148, 1021],
-    [677, 856, 1142, 1148, 860],
-    [1016, 1021, 1148, 1142],
-    [777, 856, 1143, 1017],
-    [678, 856, 1143, 1149, 861],
-    [789, 861, 1149, 1023],
-    [1017, 1023, 1149, 1143],
-    [790, 862, 1150, 1024],
-    [679, 857, 1144, 1150, 862],
-    [778, 857, 1144, 1018],
-    [1018, 1024, 1150, 1144],
-    [791, 863, 1151, 1025],
-    [779, 857, 1145, 1019],
-    [680, 857, 1145, 1151, 863],
-    [1019, 1025, 1151, 1145],
-    [681, 858, 1152, 1158, 864],
-    [798, 864, 1158, 1038],
-    [1032, 1038, 1158, 1152],
-    [792, 858, 1152, 1032],
-    [799, 866, 1159, 1039],
-    [793, 860, 1153, 1033],
-    [683, 860, 1153, 1159, 866],
-    [1033, 1039, 1159, 1153],
-    [794, 859, 1154, 1034],
-    [800, 865, 1160, 1040],
-    [682, 859, 1154, 1160, 865],
-    [1034, 1040, 1160, 1154],
-    [802, 867, 1161, 1042],
-    [795, 861, 1155, 1036],
-    [684, 861, 1155, 1161, 867],
-    [1036, 1042, 1161, 1155],
-    [796, 862, 1156, 1035],
-    [685, 862, 1156, 1162, 868],
-    [801, 868, 1162, 1041],
-    [1035, 1041, 1162, 1156],
-    [686, 863, 1157, 1163, 869],
-    [1037, 1043, 1163, 1157],
-    [797, 863, 1157, 1037],
-    [803, 869, 1163, 1043],
-    [804, 864, 1164, 1044],
-    [806, 865, 1165, 1046],
-    [687, 864, 1164, 1165, 865],
-    [1044, 1046, 1165, 1164],
-    [688, 866, 1166, 1167, 867],
-    [805, 866, 1166, 1045],
-    [1045, 1047, 1167, 1166],
-    [807, 867, 1167, 1047],
-    [809, 869, 1169, 1049],
-    [808, 868, 1168, 1048],
-    [689, 868, 1168, 1169, 869],
-    [1048, 1049, 1169, 1168],
-    [1173, 1260, 1266],
-    [1050, 1056, 1266, 1260],
-    [873, 936, 1266, 1173],
-    [936, 1056, 1266],
-    [870, 930, 1260, 1173],
-    [930, 1050, 1260],
-    [870, 873, 1173],
-    [810, 1050, 1056],
-    [1174, 1261, 1268],
-    [1051, 1057, 1268, 1261],
-    [874, 938, 1268, 1174],
-    [938, 1057, 1268],
-    [871, 931, 1261, 1174],
-    [931, 1051, 1261],
-    [871, 874, 1174],
-    [811, 1051, 1057],
-    [1173, 1262, 1267],
-    [1052, 1058, 1267, 1262],
-    [873, 937, 1267, 1173],
-    [937, 1058, 1267],
-    [870, 932, 1262, 1173],
-    [932, 1052, 1262],
-    [812, 1052, 1058],
-    [1174, 1263, 1269],
-    [1054, 1059, 1269, 1263],
-    [874, 939, 1269, 1174],
-    [939, 1059, 1269],
-    [871, 933, 1263, 1174],
-    [933, 1054, 1263],
-    [814, 1054, 1059],
-    [1175, 1264, 1270],
-    [1053, 1060, 1270, 1264],
-    [875, 940, 1270, 1175],
-    [940, 1060, 1270],
-    [872, 934, 1264, 1175],
-    [934, 1053, 1264],
-    [872, 875, 1175],
-    [813, 1053, 1060],
-    [1175, 1265, 1271],
-    [1055, 1061, 1271, 1265],
-    [875, 941, 1271, 1175],
-    [941, 1061, 1271],
-    [872, 935, 1265, 1175],
-    [935, 1055, 1265],
-    [815, 1055, 1061],
-    [1185, 1272, 1278],
-    [1062, 1068, 1278, 1272],
-    [882, 954, 1278, 1185],
-    [954, 1068, 1278],
-    [876, 942, 1272, 1185],
-    [942, 1062, 1272],
-    [876, 882, 1185],
-    [816, 1062, 1068],
-    [1186, 1273, 1279],
-    [1063, 1069, 1279, 1273],
-    [883, 955, 1279, 1186],
-    [955, 1069, 1279],
-    [878, 944, 1273, 1186],
-    [944, 1063, 1273],
-    [878, 883, 1186],
-    [817, 1063, 1069],
-    [1187, 1274, 1280],
-    [1064, 1070, 1280, 1274],
-    [884, 956, 1280, 1187],
-    [956, 1070, 1280],
-    [877, 943, 1274, 1187],
-    [943, 1064, 1274],
-    [877, 884, 1187],
-    [818, 1064, 1070],
-    [1188, 1275, 1281],
-    [1065, 1072, 1281, 1275],
-    [885, 957, 1281, 1188],
-    [957, 1072, 1281],
-    [879, 945, 1275, 1188],
-    [945, 1065, 1275],
-    [879, 885, 1188],
-    [820, 1065, 1072],
-    [1189, 1276, 1282],
-    [1066, 1071, 1282, 1276],
-    [886, 958, 1282, 1189],
-    [958, 1071, 1282],
-    [880, 946, 1276, 1189],
-    [946, 1066, 1276],
-    [880, 886, 1189],
-    [819, 1066, 1071],
-    [1190, 1277, 1283],
-    [1067, 1073, 1283, 1277],
-    [887, 959, 1283, 1190],
-    [959, 1073, 1283],
-    [881, 947, 1277, 1190],
-    [947, 1067, 1277],
-    [881, 887, 1190],
-    [821, 1067, 1073],
-    [1197, 1290, 1291],
-    [1074, 1075, 1291, 1290],
-    [889, 961, 1291, 1197],
-    [961, 1075, 1291],
-    [888, 960, 1290, 1197],
-    [960, 1074, 1290],
-    [888, 889, 1197],
-    [822, 1074, 1075],
-    [1185, 1284, 1296],
-    [1080, 1086, 1296, 1284],
-    [882, 966, 1296, 1185],
-    [966, 1086, 1296],
-    [876, 948, 1284, 1185],
-    [948, 1080, 1284],
-    [825, 1080, 1086],
-    [1187, 1285, 1297],
-    [1081, 1087, 1297, 1285],
-    [884, 968, 1297, 1187],
-    [968, 1087, 1297],
-    [877, 949, 1285, 1187],
-    [949, 1081, 1285],
-    [826, 1081, 1087],
-    [1186, 1286, 1298],
-    [1082, 1088, 1298, 1286],
-    [883, 967, 1298, 1186],
-    [967, 1088, 1298],
-    [878, 950, 1286, 1186],
-    [950, 1082, 1286],
-    [827, 1082, 1088],
-    [1188, 1287, 1299],
-    [1083, 1089, 1299, 1287],
-    [885, 969, 1299, 1188],
-    [969, 1089, 1299],
-    [879, 951, 1287, 1188],
-    [951, 1083, 1287],
-    [828, 1083, 1089],
-    [1198, 1292, 1293],
-    [1076, 1077, 1293, 1292],
-    [891, 963, 1293, 1198],
-    [963, 1077, 1293],
-    [890, 962, 1292, 1198],
-    [962, 1076, 1292],
-    [890, 891, 1198],
-    [823, 1076, 1077],
-    [1199, 1294, 1295],
-    [1078, 1079, 1295, 1294],
-    [893, 965, 1295, 1199],
-    [965, 1079, 1295],
-    [892, 964, 1294, 1199],
-    [964, 1078, 1294],
-    [892, 893, 1199],
-    [824, 1078, 1079],
-    [1189, 1288, 1300],
-    [1084, 1090, 1300, 1288],
-    [886, 970, 1300, 1189],
-    [970, 1090, 1300],
-    [880, 952, 1288, 1189],
-    [952, 1084, 1288],
-    [829, 1084, 1090],
-    [1190, 1289, 1301],
-    [1085, 1091, 1301, 1289],
-    [887, 971, 1301, 1190],
-    [971, 1091, 1301],
-    [881, 953, 1289, 1190],
-    [953, 1085, 1289],
-    [830, 1085, 1091],
-    [1197, 1302, 1303],
-    [1098, 1099, 1303, 1302],
-    [889, 974, 1303, 1197],
-    [974, 1099, 1303],
-    [888, 972, 1302, 1197],
-    [972, 1098, 1302],
-    [837, 1098, 1099],
-    [1198, 1304, 1305],
-    [1100, 1101, 1305, 1304],
-    [891, 979, 1305, 1198],
-    [979, 1101, 1305],
-    [890, 977, 1304, 1198],
-    [977, 1100, 1304],
-    [838, 1100, 1101],
-    [1199, 1306, 1307],
-    [1102, 1103, 1307, 1306],
-    [893, 982, 1307, 1199],
-    [982, 1103, 1307],
-    [892, 980, 1306, 1199],
-    [980, 1102, 1306],
-    [839, 1102, 1103],
-    [1212, 1308, 1320],
-    [1092, 1104, 1320, 1308],
-    [900, 990, 1320, 1212],
-    [990, 1104, 1320],
-    [894, 973, 1308, 1212],
-    [973, 1092, 1308],
-    [894, 900, 1212],
-    [831, 1092, 1104],
-    [1213, 1309, 1322],
-    [1094, 1106, 1322, 1309],
-    [901, 992, 1322, 1213],
-    [992, 1106, 1322],
-    [895, 975, 1309, 1213],
-    [975, 1094, 1309],
-    [895, 901, 1213],
-    [833, 1094, 1106],
-    [1214, 1310, 1321],
-    [1093, 1105, 1321, 1310],
-    [902, 991, 1321, 1214],
-    [991, 1105, 1321],
-    [896, 976, 1310, 1214],
-    [976, 1093, 1310],
-    [896, 902, 1214],
-    [832, 1093, 1105],
-    [1215, 1311, 1323],
-    [1095, 1107, 1323, 1311],
-    [903, 993, 1323, 1215],
-    [993, 1107, 1323],
-    [897, 978, 1311, 1215],
-    [978, 1095, 1311],
-    [897, 903, 1215],
-    [834, 1095, 1107],
-    [1216, 1312, 1324],
-    [1096, 1108, 1324, 1312],
-    [904, 994, 1324, 1216],
-    [994, 1108, 1324],
-    [898, 981, 1312, 1216],
-    [981, 1096, 1312],
-    [898, 904, 1216],
-    [835, 1096, 1108],
-    [1217, 1313, 1325],
-    [1097, 1109, 1325, 1313],
-    [905, 995, 1325, 1217],
-    [995, 1109, 1325],
-    [899, 983, 1313, 1217],
-    [983, 1097, 1313],
-    [899, 905, 1217],
-    [836, 1097, 1109],
-    [1212, 1314, 1326],
-    [1110, 1122, 1326, 1314],
-    [900, 996, 1326, 1212],
-    [996, 1122, 1326],
-    [894, 984, 1314, 1212],
-    [984, 1110, 1314],
-    [843, 1110, 1122],
-    [1213, 1315, 1327],
-    [1111, 1123, 1327, 1315],
-    [901, 998, 1327, 1213],
-    [998, 1123, 1327],
-    [895, 985, 1315, 1213],
-    [985, 1111, 1315],
-    [844, 1111, 1123],
-    [1214, 1316, 1328],
-    [1112, 1124, 1328, 1316],
-    [902, 1001, 1328, 1214],
-    [1001, 1124, 1328],
-    [896, 986, 1316, 1214],
-    [986, 1112, 1316],
-    [845, 1112, 1124],
-    [1215, 1318, 1329],
-    [1114, 1126, 1329, 1318],
-    [903, 1003, 1329, 1215],
-    [1003, 1126, 1329],
-    [897, 988, 1318, 1215],
-    [988, 1114, 1318],
-    [847, 1114, 1126],
-    [1216, 1317, 1330],
-    [1113, 1125, 1330, 1317],
-    [904, 1004, 1330, 1216],
-    [1004, 1125, 1330],
-    [898, 987, 1317, 1216],
-    [987, 1113, 1317],
-    [846, 1113, 1125],
-    [1217, 1319, 1331],
-    [1115, 1127, 1331, 1319],
-    [905, 1006, 1331, 1217],
-    [1006, 1127, 1331],
-    [899, 989, 1319, 1217],
-    [989, 1115, 1319],
-    [848, 1115, 1127],
-    [1230, 1332, 1333],
-    [1116, 1117, 1333, 1332],
-    [907, 999, 1333, 1230],
-    [999, 1117, 1333],
-    [906, 997, 1332, 1230],
-    [997, 1116, 1332],
-    [906, 907, 1230],
-    [840, 1116, 1117],
-    [1231, 1334, 1335],
-    [1118, 1119, 1335, 1334],
-    [909, 1002, 1335, 1231],
-    [1002, 1119, 1335],
-    [908, 1000, 1334, 1231],
-    [1000, 1118, 1334],
-    [908, 909, 1231],
-    [841, 1118, 1119],
-    [1232, 1336, 1337],
-    [1120, 1121, 1337, 1336],
-    [911, 1007, 1337, 1232],
-    [1007, 1121, 1337],
-    [910, 1005, 1336, 1232],
-    [1005, 1120, 1336],
-    [910, 911, 1232],
-    [842, 1120, 1121],
-    [1239, 1338, 1350],
-    [1128, 1134, 1350, 1338],
-    [918, 1026, 1350, 1239],
-    [1026, 1134, 1350],
-    [912, 1008, 1338, 1239],
-    [1008, 1128, 1338],
-    [912, 918, 1239],
-    [849, 1128, 1134],
-    [1240, 1339, 1351],
-    [1129, 1135, 1351, 1339],
-    [919, 1027, 1351, 1240],
-    [1027, 1135, 1351],
-    [913, 1009, 1339, 1240],
-    [1009, 1129, 1339],
-    [913, 919, 1240],
-    [850, 1129, 1135],
-    [1230, 1344, 1345],
-    [1140, 1141, 1345, 1344],
-    [907, 1015, 1345, 1230],
-    [1015, 1141, 1345],
-    [906, 1014, 1344, 1230],
-    [1014, 1140, 1344],
-    [855, 1140, 1141],
-    [1231, 1346, 1347],
-    [1142, 1143, 1347, 1346],
-    [909, 1017, 1347, 1231],
-    [1017, 1143, 1347],
-    [908, 1016, 1346, 1231],
-    [1016, 1142, 1346],
-    [856, 1142, 1143],
-    [1241, 1340, 1352],
-    [1130, 1136, 1352, 1340],
-    [920, 1028, 1352, 1241],
-    [1028, 1136, 1352],
-    [914, 1010, 1340, 1241],
-    [1010, 1130, 1340],
-    [914, 920, 1241],
-    [851, 1130, 1136],
-    [1243, 1341, 1353],
-    [1131, 1137, 1353, 1341],
-    [921, 1029, 1353, 1243],
-    [1029, 1137, 1353],
-    [916, 1012, 1341, 1243],
-    [1012, 1131, 1341],
-    [916, 921, 1243],
-    [852, 1131, 1137],
-    [1242, 1342, 1354],
-    [1132, 1138, 1354, 1342],
-    [922, 1030, 1354, 1242],
-    [1030, 1138, 1354],
-    [915, 1011, 1342, 1242],
-    [1011, 1132, 1342],
-    [915, 922, 1242],
-    [853, 1132, 1138],
-    [1244, 1343, 1355],
-    [1133, 1139, 1355, 1343],
-    [923, 1031, 1355, 1244],
-    [1031, 1139, 1355],
-    [917, 1013, 1343, 1244],
-    [1013, 1133, 1343],
-    [917, 923, 1244],
-    [854, 1133, 1139],
-    [1232, 1348, 1349],
-    [1144, 1145, 1349, 1348],
-    [911, 1019, 1349, 1232],
-    [1019, 1145, 1349],
-    [910, 1018, 1348, 1232],
-    [1018, 1144, 1348],
-    [857, 1144, 1145],
-    [1239, 1356, 1362],
-    [1146, 1152, 1362, 1356],
-    [918, 1032, 1362, 1239],
-    [1032, 1152, 1362],
-    [912, 1020, 1356, 1239],
-    [1020, 1146, 1356],
-    [858, 1146, 1152],
-    [1240, 1357, 1363],
-    [1148, 1153, 1363, 1357],
-    [919, 1033, 1363, 1240],
-    [1033, 1153, 1363],
-    [913, 1021, 1357, 1240],
-    [1021, 1148, 1357],
-    [860, 1148, 1153],
-    [1241, 1358, 1364],
-    [1147, 1154, 1364, 1358],
-    [920, 1034, 1364, 1241],
-    [1034, 1154, 1364],
-    [914, 1022, 1358, 1241],
-    [1022, 1147, 1358],
-    [859, 1147, 1154],
-    [1242, 1359, 1365],
-    [1149, 1155, 1365, 1359],
-    [922, 1036, 1365, 1242],
-    [1036, 1155, 1365],
-    [915, 1023, 1359, 1242],
-    [1023, 1149, 1359],
-    [861, 1149, 1155],
-    [1243, 1360, 1366],
-    [1150, 1156, 1366, 1360],
-    [921, 1035, 1366, 1243],
-    [1035, 1156, 1366],
-    [916, 1024, 1360, 1243],
-    [1024, 1150, 1360],
-    [862, 1150, 1156],
-    [1244, 1361, 1367],
-    [1151, 1157, 1367, 1361],
-    [923, 1037, 1367, 1244],
-    [1037, 1157, 1367],
-    [917, 1025, 1361, 1244],
-    [1025, 1151, 1361],
-    [863, 1151, 1157],
-    [1254, 1368, 1374],
-    [1158, 1164, 1374, 1368],
-    [927, 1044, 1374, 1254],
-    [1044, 1164, 1374],
-    [924, 1038, 1368, 1254],
-    [1038, 1158, 1368],
-    [924, 927, 1254],
-    [864, 1158, 1164],
-    [1254, 1369, 1375],
-    [1159, 1166, 1375, 1369],
-    [927, 1045, 1375, 1254],
-    [1045, 1166, 1375],
-    [924, 1039, 1369, 1254],
-    [1039, 1159, 1369],
-    [866, 1159, 1166],
-    [1255, 1370, 1376],
-    [1160, 1165, 1376, 1370],
-    [928, 1046, 1376, 1255],
-    [1046, 1165, 1376],
-    [925, 1040, 1370, 1255],
-    [1040, 1160, 1370],
-    [925, 928, 1255],
-    [865, 1160, 1165],
-    [1256, 1372, 1377],
-    [1161, 1167, 1377, 1372],
-    [929, 1047, 1377, 1256],
-    [1047, 1167, 1377],
-    [926, 1042, 1372, 1256],
-    [1042, 1161, 1372],
-    [926, 929, 1256],
-    [867, 1161, 1167],
-    [1255, 1371, 1378],
-    [1162, 1168, 1378, 1371],
-    [928, 1048, 1378, 1255],
-    [1048, 1168, 1378],
-    [925, 1041, 1371, 1255],
-    [1041, 1162, 1371],
-    [868, 1162, 1168],
-    [1256, 1373, 1379],
-    [1163, 1169, 1379, 1373],
-    [929, 1049, 1379, 1256],
-    [1049, 1169, 1379],
-    [926, 1043, 1373, 1256],
-    [1043, 1163, 1373],
-    [869, 1163, 1169],
-    [1566, 1568, 1580, 1590, 1578],
-    [1390, 1580, 1590],
-    [1389, 1578, 1590],
-    [1074, 1075, 1390, 1590, 1389],
-    [1384, 1568, 1580],
-    [1063, 1069, 1390, 1580, 1384],
-    [1383, 1566, 1578],
-    [1062, 1068, 1389, 1578, 1383],
-    [1380, 1566, 1568],
-    [1051, 1057, 1384, 1568, 1380],
-    [1050, 1056, 1383, 1566, 1380],
-    [1069, 1075, 1390],
-    [1068, 1074, 1389],
-    [1057, 1063, 1384],
-    [1056, 1062, 1383],
-    [1050, 1051, 1380],
-    [1571, 1573, 1585, 1591, 1583],
-    [1392, 1585, 1591],
-    [1391, 1583, 1591],
-    [1076, 1077, 1392, 1591, 1391],
-    [1387, 1573, 1585],
-    [1066, 1071, 1392, 1585, 1387],
-    [1385, 1571, 1583],
-    [1064, 1070, 1391, 1583, 1385],
-    [1381, 1571, 1573],
-    [1053, 1060, 1387, 1573, 1381],
-    [1052, 1058, 1385, 1571, 1381],
-    [1071, 1077, 1392],
-    [1070, 1076, 1391],
-    [1060, 1066, 1387],
-    [1058, 1064, 1385],
-    [1052, 1053, 1381],
-    [1574, 1576, 1588, 1592, 1586],
-    [1394, 1588, 1592],
-    [1393, 1586, 1592],
-    [1078, 1079, 1394, 1592, 1393],
-    [1388, 1576, 1588],
-    [1067, 1073, 1394, 1588, 1388],
-    [1386, 1574, 1586],
-    [1065, 1072, 1393, 1586, 1386],
-    [1382, 1574, 1576],
-    [1055, 1061, 1388, 1576, 1382],
-    [1054, 1059, 1386, 1574, 1382],
-    [1073, 1079, 1394],
-    [1072, 1078, 1393],
-    [1061, 1067, 1388],
-    [1059, 1065, 1386],
-    [1054, 1055, 1382],
-    [1617, 1618, 1632, 1643, 1631],
-    [1407, 1632, 1643],
-    [1406, 1631, 1643],
-    [1116, 1117, 1407, 1643, 1406],
-    [1399, 1618, 1632],
-    [1093, 1105, 1407, 1632, 1399],
-    [1398, 1617, 1631],
-    [1092, 1104, 1406, 1631, 1398],
-    [1395, 1617, 1618],
-    [1081, 1087, 1399, 1618, 1395],
-    [1080, 1086, 1398, 1617, 1395],
-    [1105, 1117, 1407],
-    [1104, 1116, 1406],
-    [1087, 1093, 1399],
-    [1086, 1092, 1398],
-    [1080, 1081, 1395],
-    [1619, 1620, 1634, 1644, 1633],
-    [1409, 1634, 1644],
-    [1408, 1633, 1644],
-    [1118, 1119, 1409, 1644, 1408],
-    [1401, 1620, 1634],
-    [1095, 1107, 1409, 1634, 1401],
-    [1400, 1619, 1633],
-    [1094, 1106, 1408, 1633, 1400],
-    [1396, 1619, 1620],
-    [1083, 1089, 1401, 1620, 1396],
-    [1082, 1088, 1400, 1619, 1396],
-    [1107, 1119, 1409],
-    [1106, 1118, 1408],
-    [1089, 1095, 1401],
-    [1088, 1094, 1400],
-    [1082, 1083, 1396],
-    [1621, 1622, 1640, 1649, 1639],
-    [1415, 1640, 1649],
-    [1414, 1639, 1649],
-    [1120, 1121, 1415, 1649, 1414],
-    [1403, 1622, 1640],
-    [1097, 1109, 1415, 1640, 1403],
-    [1402, 1621, 1639],
-    [1096, 1108, 1414, 1639, 1402],
-    [1397, 1621, 1622],
-    [1085, 1091, 1403, 1622, 1397],
-    [1084, 1090, 1402, 1621, 1397],
-    [1109, 1121, 1415],
-    [1108, 1120, 1414],
-    [1091, 1097, 1403],
-    [1090, 1096, 1402],
-    [1084, 1085, 1397],
-    [1650, 1659, 1677, 1678, 1660],
-    [1422, 1677, 1678],
-    [1417, 1660, 1678],
-    [1129, 1135, 1422, 1678, 1417],
-    [1416, 1659, 1677],
-    [1128, 1134, 1422, 1677, 1416],
-    [1405, 1650, 1660],
-    [1111, 1123, 1417, 1660, 1405],
-    [1404, 1650, 1659],
-    [1110, 1122, 1416, 1659, 1404],
-    [1098, 1099, 1405, 1650, 1404],
-    [1134, 1135, 1422],
-    [1123, 1129, 1417],
-    [1122, 1128, 1416],
-    [1099, 1111, 1405],
-    [1098, 1110, 1404],
-    [1655, 1665, 1679, 1680, 1666],
-    [1423, 1679, 1680],
-    [1419, 1666, 1680],
-    [1131, 1137, 1423, 1680, 1419],
-    [1418, 1665, 1679],
-    [1130, 1136, 1423, 1679, 1418],
-    [1411, 1655, 1666],
-    [1113, 1125, 1419, 1666, 1411],
-    [1410, 1655, 1665],
-    [1112, 1124, 1418, 1665, 1410],
-    [1100, 1101, 1411, 1655, 1410],
-    [1136, 1137, 1423],
-    [1125, 1131, 1419],
-    [1124, 1130, 1418],
-    [1101, 1113, 1411],
-    [1100, 1112, 1410],
-    [1656, 1667, 1681, 1682, 1668],
-    [1424, 1681, 1682],
-    [1421, 1668, 1682],
-    [1133, 1139, 1424, 1682, 1421],
-    [1420, 1667, 1681],
-    [1132, 1138, 1424, 1681, 1420],
-    [1413, 1656, 1668],
-    [1115, 1127, 1421, 1668, 1413],
-    [1412, 1656, 1667],
-    [1114, 1126, 1420, 1667, 1412],
-    [1102, 1103, 1413, 1656, 1412],
-    [1138, 1139, 1424],
-    [1127, 1133, 1421],
-    [1126, 1132, 1420],
-    [1103, 1115, 1413],
-    [1102, 1114, 1412],
-    [1707, 1711, 1723, 1725, 1713],
-    [1437, 1723, 1725],
-    [1433, 1713, 1725],
-    [1160, 1165, 1437, 1725, 1433],
-    [1431, 1711, 1723],
-    [1158, 1164, 1437, 1723, 1431],
-    [1426, 1707, 1713],
-    [1147, 1154, 1433, 1713, 1426],
-    [1425, 1707, 1711],
-    [1146, 1152, 1431, 1711, 1425],
-    [1140, 1141, 1426, 1707, 1425],
-    [1164, 1165, 1437],
-    [1154, 1160, 1433],
-    [1152, 1158, 1431],
-    [1141, 1147, 1426],
-    [1140, 1146, 1425],
-    [1708, 1714, 1726, 1728, 1716],
-    [1438, 1726, 1728],
-    [1434, 1716, 1728],
-    [1161, 1167, 1438, 1728, 1434],
-    [1432, 1714, 1726],
-    [1159, 1166, 1438, 1726, 1432],
-    [1428, 1708, 1716],
-    [1149, 1155, 1434, 1716, 1428],
-    [1427, 1708, 1714],
-    [1148, 1153, 1432, 1714, 1427],
-    [1142, 1143, 1428, 1708, 1427],
-    [1166, 1167, 1438],
-    [1155, 1161, 1434],
-    [1153, 1159, 1432],
-    [1143, 1149, 1428],
-    [1142, 1148, 1427],
-    [1709, 1719, 1731, 1733, 1721],
-    [1439, 1731, 1733],
-    [1436, 1721, 1733],
-    [1163, 1169, 1439, 1733, 1436],
-    [1435, 1719, 1731],
-    [1162, 1168, 1439, 1731, 1435],
-    [1430, 1709, 1721],
-    [1151, 1157, 1436, 1721, 1430],
-    [1429, 1709, 1719],
-    [1150, 1156, 1435, 1719, 1429],
-    [1144, 1145, 1430, 1709, 1429],
-    [1168, 1169, 1439],
-    [1157, 1163, 1436],
-    [1156, 1162, 1435],
-    [1145, 1151, 1430],
-    [1144, 1150, 1429],
-    [930, 1170, 1440, 1260],
-    [932, 1171, 1442, 1262],
-    [1170, 1171, 1442, 1440],
-    [1173, 1260, 1440, 1442, 1262],
-    [931, 1170, 1441, 1261],
-    [1170, 1172, 1443, 1441],
-    [933, 1172, 1443, 1263],
-    [1174, 1261, 1441, 1443, 1263],
-    [935, 1172, 1445, 1265],
-    [934, 1171, 1444, 1264],
-    [1171, 1172, 1445, 1444],
-    [1175, 1264, 1444, 1445, 1265],
-    [937, 1177, 1447, 1267],
-    [936, 1176, 1446, 1266],
-    [1176, 1177, 1447, 1446],
-    [1173, 1266, 1446, 1447, 1267],
-    [939, 1179, 1449, 1269],
-    [1178, 1179, 1449, 1448],
-    [1174, 1268, 1448, 1449, 1269],
-    [938, 1178, 1448, 1268],
-    [940, 1180, 1450, 1270],
-    [941, 1181, 1451, 1271],
-    [1180, 1181, 1451, 1450],
-    [1175, 1270, 1450, 1451, 1271],
-    [948, 1182, 1458, 1284],
-    [942, 1176, 1452, 1272],
-    [1176, 1182, 1458, 1452],
-    [1185, 1272, 1452, 1458, 1284],
-    [943, 1177, 1453, 1274],
-    [949, 1182, 1459, 1285],
-    [1177, 1182, 1459, 1453],
-    [1187, 1274, 1453, 1459, 1285],
-    [944, 1178, 1454, 1273],
-    [950, 1183, 1460, 1286],
-    [1186, 1273, 1454, 1460, 1286],
-    [1178, 1183, 1460, 1454],
-    [945, 1179, 1455, 1275],
-    [951, 1183, 1461, 1287],
-    [1179, 1183, 1461, 1455],
-    [1188, 1275, 1455, 1461, 1287],
-    [952, 1184, 1462, 1288],
-    [1180, 1184, 1462, 1456],
-    [1189, 1276, 1456, 1462, 1288],
-    [946, 1180, 1456, 1276],
-    [953, 1184, 1463, 1289],
-    [947, 1181, 1457, 1277],
-    [1181, 1184, 1463, 1457],
-    [1190, 1277, 1457, 1463, 1289],
-    [954, 1191, 1464, 1278],
-    [966, 1200, 1476, 1296],
-    [1191, 1200, 1476, 1464],
-    [1185, 1278, 1464, 1476, 1296],
-    [955, 1192, 1465, 1279],
-    [967, 1201, 1477, 1298],
-    [1186, 1279, 1465, 1477, 1298],
-    [1192, 1201, 1477, 1465],
-    [1193, 1202, 1478, 1466],
-    [956, 1193, 1466, 1280],
-    [968, 1202, 1478, 1297],
-    [1187, 1280, 1466, 1478, 1297],
-    [957, 1195, 1467, 1281],
-    [969, 1203, 1479, 1299],
-    [1195, 1203, 1479, 1467],
-    [1188, 1281, 1467, 1479, 1299],
-    [958, 1194, 1468, 1282],
-    [1194, 1204, 1480, 1468],
-    [970, 1204, 1480, 1300],
-    [1189, 1282, 1468, 1480, 1300],
-    [959, 1196, 1469, 1283],
-    [971, 1205, 1481, 1301],
-    [1196, 1205, 1481, 1469],
-    [1190, 1283, 1469, 1481, 1301],
-    [960, 1191, 1470, 1290],
-    [1191, 1206, 1482, 1470],
-    [972, 1206, 1482, 1302],
-    [1197, 1290, 1470, 1482, 1302],
-    [974, 1207, 1483, 1303],
-    [1192, 1207, 1483, 1471],
-    [1197, 1291, 1471, 1483, 1303],
-    [961, 1192, 1471, 1291],
-    [962, 1193, 1472, 1292],
-    [977, 1208, 1484, 1304],
-    [1198, 1292, 1472, 1484, 1304],
-    [1193, 1208, 1484, 1472],
-    [963, 1194, 1473, 1293],
-    [979, 1209, 1485, 1305],
-    [1194, 1209, 1485, 1473],
-    [1198, 1293, 1473, 1485, 1305],
-    [980, 1210, 1486, 1306],
-    [1195, 1210, 1486, 1474],
-    [964, 1195, 1474, 1294],
-    [1199, 1294, 1474, 1486, 1306],
-    [965, 1196, 1475, 1295],
-    [1196, 1211, 1487, 1475],
-    [1199, 1295, 1475, 1487, 1307],
-    [982, 1211, 1487, 1307],
-    [984, 1206, 1494, 1314],
-    [973, 1200, 1488, 1308],
-    [1200, 1206, 1494, 1488],
-    [1212, 1308, 1488, 1494, 1314],
-    [985, 1207, 1495, 1315],
-    [975, 1201, 1489, 1309],
-    [1201, 1207, 1495, 1489],
-    [1213, 1309, 1489, 1495, 1315],
-    [976, 1202, 1490, 1310],
-    [986, 1208, 1496, 1316],
-    [1214, 1310, 1490, 1496, 1316],
-    [1202, 1208, 1496, 1490],
-    [988, 1210, 1498, 1318],
-    [978, 1203, 1491, 1311],
-    [1203, 1210, 1498, 1491],
-    [1215, 1311, 1491, 1498, 1318],
-    [981, 1204, 1492, 1312],
-    [987, 1209, 1497, 1317],
-    [1204, 1209, 1497, 1492],
-    [1216, 1312, 1492, 1497, 1317],
-    [989, 1211, 1499, 1319],
-    [983, 1205, 1493, 1313],
-    [1205, 1211, 1499, 1493],
-    [1217, 1313, 1493, 1499, 1319],
-    [990, 1218, 1500, 1320],
-    [996, 1224, 1506, 1326],
-    [1218, 1224, 1506, 1500],
-    [1212, 1320, 1500, 1506, 1326],
-    [998, 1225, 1507, 1327],
-    [992, 1220, 1502, 1322],
-    [1220, 1225, 1507, 1502],
-    [1213, 1322, 1502, 1507, 1327],
-    [991, 1219, 1501, 1321],
-    [1001, 1226, 1508, 1328],
-    [1219, 1226, 1508, 1501],
-    [1214, 1321, 1501, 1508, 1328],
-    [1003, 1227, 1509, 1329],
-    [993, 1221, 1503, 1323],
-    [1215, 1323, 1503, 1509, 1329],
-    [1221, 1227, 1509, 1503],
-    [994, 1222, 1504, 1324],
-    [1004, 1228, 1510, 1330],
-    [1222, 1228, 1510, 1504],
-    [1216, 1324, 1504, 1510, 1330],
-    [995, 1223, 1505, 1325],
-    [1006, 1229, 1511, 1331],
-    [1223, 1229, 1511, 1505],
-    [1217, 1325, 1505, 1511, 1331],
-    [1014, 1233, 1524, 1344],
-    [1218, 1233, 1524, 1512],
-    [1230, 1332, 1512, 1524, 1344],
-    [997, 1218, 1512, 1332],
-    [999, 1219, 1513, 1333],
-    [1219, 1234, 1525, 1513],
-    [1015, 1234, 1525, 1345],
-    [1230, 1333, 1513, 1525, 1345],
-    [1016, 1235, 1526, 1346],
-    [1000, 1220, 1514, 1334],
-    [1220, 1235, 1526, 1514],
-    [1231, 1334, 1514, 1526, 1346],
-    [1017, 1236, 1527, 1347],
-    [1002, 1221, 1515, 1335],
-    [1231, 1335, 1515, 1527, 1347],
-    [1221, 1236, 1527, 1515],
-    [1005, 1222, 1516, 1336],
-    [1222, 1237, 1528, 1516],
-    [1232, 1336, 1516, 1528, 1348],
-    [1018, 1237, 1528, 1348],
-    [1019, 1238, 1529, 1349],
-    [1223, 1238, 1529, 1517],
-    [1007, 1223, 1517, 1337],
-    [1232, 1337, 1517, 1529, 1349],
-    [1020, 1233, 1530, 1356],
-    [1008, 1224, 1518, 1338],
-    [1224, 1233, 1530, 1518],
-    [1239, 1338, 1518, 1530, 1356],
-    [1021, 1235, 1531, 1357],
-    [1225, 1235, 1531, 1519],
-    [1009, 1225, 1519, 1339],
-    [1240, 1339, 1519, 1531, 1357],
-    [1022, 1234, 1532, 1358],
-    [1010, 1226, 1520, 1340],
-    [1226, 1234, 1532, 1520],
-    [1241, 1340, 1520, 1532, 1358],
-    [1227, 1236, 1533, 1521],
-    [1011, 1227, 1521, 1342],
-    [1023, 1236, 1533, 1359],
-    [1242, 1342, 1521, 1533, 1359],
-    [1024, 1237, 1534, 1360],
-    [1012, 1228, 1522, 1341],
-    [1243, 1341, 1522, 1534, 1360],
-    [1228, 1237, 1534, 1522],
-    [1025, 1238, 1535, 1361],
-    [1013, 1229, 1523, 1343],
-    [1229, 1238, 1535, 1523],
-    [1244, 1343, 1523, 1535, 1361],
-    [1026, 1245, 1536, 1350],
-    [1032, 1248, 1542, 1362],
-    [1245, 1248, 1542, 1536],
-    [1239, 1350, 1536, 1542, 1362],
-    [1027, 1245, 1537, 1351],
-    [1245, 1249, 1543, 1537],
-    [1240, 1351, 1537, 1543, 1363],
-    [1033, 1249, 1543, 1363],
-    [1034, 1250, 1544, 1364],
-    [1028, 1246, 1538, 1352],
-    [1246, 1250, 1544, 1538],
-    [1241, 1352, 1538, 1544, 1364],
-    [1035, 1251, 1545, 1366],
-    [1029, 1246, 1539, 1353],
-    [1243, 1353, 1539, 1545, 1366],
-    [1246, 1251, 1545, 1539],
-    [1030, 1247, 1540, 1354],
-    [1036, 1252, 1546, 1365],
-    [1247, 1252, 1546, 1540],
-    [1242, 1354, 1540, 1546, 1365],
-    [1031, 1247, 1541, 1355],
-    [1037, 1253, 1547, 1367],
-    [1247, 1253, 1547, 1541],
-    [1244, 1355, 1541, 1547, 1367],
-    [1039, 1249, 1549, 1369],
-    [1038, 1248, 1548, 1368],
-    [1248, 1249, 1549, 1548],
-    [1254, 1368, 1548, 1549, 1369],
-    [1040, 1250, 1550, 1370],
-    [1250, 1251, 1551, 1550],
-    [1255, 1370, 1550, 1551, 1371],
-    [1041, 1251, 1551, 1371],
-    [1042, 1252, 1552, 1372],
-    [1043, 1253, 1553, 1373],
-    [1252, 1253, 1553, 1552],
-    [1256, 1372, 1552, 1553, 1373],
-    [1044, 1257, 1554, 1374],
-    [1045, 1258, 1555, 1375],
-    [1257, 1258, 1555, 1554],
-    [1254, 1374, 1554, 1555, 1375],
-    [1048, 1259, 1558, 1378],
-    [1257, 1259, 1558, 1556],
-    [1046, 1257, 1556, 1376],
-    [1255, 1376, 1556, 1558, 1378],
-    [1049, 1259, 1559, 1379],
-    [1047, 1258, 1557, 1377],
-    [1258, 1259, 1559, 1557],
-    [1256, 1377, 1557, 1559, 1379],
-    [1440, 1441, 1561, 1560],
-    [1380, 1560, 1561],
-    [1261, 1441, 1561],
-    [1051, 1261, 1561, 1380],
-    [1260, 1440, 1560],
-    [1050, 1260, 1560, 1380],
-    [1170, 1440, 1441],
-    [1442, 1444, 1563, 1562],
-    [1381, 1562, 1563],
-    [1264, 1444, 1563],
-    [1053, 1264, 1563, 1381],
-    [1262, 1442, 1562],
-    [1052, 1262, 1562, 1381],
-    [1171, 1442, 1444],
-    [1443, 1445, 1565, 1564],
-    [1382, 1564, 1565],
-    [1265, 1445, 1565],
-    [1055, 1265, 1565, 1382],
-    [1263, 1443, 1564],
-    [1054, 1263, 1564, 1382],
-    [1172, 1443, 1445],
-    [1446, 1452, 1579, 1567],
-    [1383, 1567, 1579],
-    [1272, 1452, 1579],
-    [1062, 1272, 1579, 1383],
-    [1266, 1446, 1567],
-    [1056, 1266, 1567, 1383],
-    [1176, 1446, 1452],
-    [1448, 1454, 1581, 1569],
-    [1384, 1569, 1581],
-    [1273, 1454, 1581],
-    [1063, 1273, 1581, 1384],
-    [1268, 1448, 1569],
-    [1057, 1268, 1569, 1384],
-    [1178, 1448, 1454],
-    [1447, 1453, 1582, 1570],
-    [1385, 1570, 1582],
-    [1274, 1453, 1582],
-    [1064, 1274, 1582, 1385],
-    [1267, 1447, 1570],
-    [1058, 1267, 1570, 1385],
-    [1177, 1447, 1453],
-    [1449, 1455, 1584, 1572],
-    [1386, 1572, 1584],
-    [1275, 1455, 1584],
-    [1065, 1275, 1584, 1386],
-    [1269, 1449, 1572],
-    [1059, 1269, 1572, 1386],
-    [1179, 1449, 1455],
-    [1450, 1456, 1587, 1575],
-    [1387, 1575, 1587],
-    [1276, 1456, 1587],
-    [1066, 1276, 1587, 1387],
-    [1270, 1450, 1575],
-    [1060, 1270, 1575, 1387],
-    [1180, 1450, 1456],
-    [1451, 1457, 1589, 1577],
-    [1388, 1577, 1589],
-    [1277, 1457, 1589],
-    [1067, 1277, 1589, 1388],
-    [1271, 1451, 1577],
-    [1061, 1271, 1577, 1388],
-    [1181, 1451, 1457],
-    [1464, 1470, 1599, 1593],
-    [1389, 1593, 1599],
-    [1290, 1470, 1599],
-    [1074, 1290, 1599, 1389],
-    [1278, 1464, 1593],
-    [1068, 1278, 1593, 1389],
-    [1191, 1464, 1470],
-    [1465, 1471, 1600, 1594],
-    [1390, 1594, 1600],
-    [1291, 1471, 1600],
-    [1075, 1291, 1600, 1390],
-    [1279, 1465, 1594],
-    [1069, 1279, 1594, 1390],
-    [1192, 1465, 1471],
-    [1458, 1459, 1606, 1605],
-    [1395, 1605, 1606],
-    [1285, 1459, 1606],
-    [1081, 1285, 1606, 1395],
-    [1284, 1458, 1605],
-    [1080, 1284, 1605, 1395],
-    [1182, 1458, 1459],
-    [1460, 1461, 1608, 1607],
-    [1396, 1607, 1608],
-    [1287, 1461, 1608],
-    [1083, 1287, 1608, 1396],
-    [1286, 1460, 1607],
-    [1082, 1286, 1607, 1396],
-    [1183, 1460, 1461],
-    [1466, 1472, 1601, 1595],
-    [1391, 1595, 1601],
-    [1292, 1472, 1601],
-    [1076, 1292, 1601, 1391],
-    [1280, 1466, 1595],
-    [1070, 1280, 1595, 1391],
-    [1193, 1466, 1472],
-    [1468, 1473, 1602, 1596],
-    [1392, 1596, 1602],
-    [1293, 1473, 1602],
-    [1077, 1293, 1602, 1392],
-    [1282, 1468, 1596],
-    [1071, 1282, 1596, 1392],
-    [1194, 1468, 1473],
-    [1467, 1474, 1603, 1597],
-    [1393, 1597, 1603],
-    [1294, 1474, 1603],
-    [1078, 1294, 1603, 1393],
-    [1281, 1467, 1597],
-    [1072, 1281, 1597, 1393],
-    [1195, 1467, 1474],
-    [1469, 1475, 1604, 1598],
-    [1394, 1598, 1604],
-    [1295, 1475, 1604],
-    [1079, 1295, 1604, 1394],
-    [1283, 1469, 1598],
-    [1073, 1283, 1598, 1394],
-    [1196, 1469, 1475],
-    [1462, 1463, 1610, 1609],
-    [1397, 1609, 1610],
-    [1289, 1463, 1610],
-    [1085, 1289, 1610, 1397],
-    [1288, 1462, 1609],
-    [1084, 1288, 1609, 1397],
-    [1184, 1462, 1463],
-    [1476, 1488, 1623, 1611],
-    [1398, 1611, 1623],
-    [1308, 1488, 1623],
-    [1092, 1308, 1623, 1398],
-    [1296, 1476, 1611],
-    [1086, 1296, 1611, 1398],
-    [1200, 1476, 1488],
-    [1477, 1489, 1625, 1613],
-    [1400, 1613, 1625],
-    [1309, 1489, 1625],
-    [1094, 1309, 1625, 1400],
-    [1298, 1477, 1613],
-    [1088, 1298, 1613, 1400],
-    [1201, 1477, 1489],
-    [1478, 1490, 1624, 1612],
-    [1399, 1612, 1624],
-    [1310, 1490, 1624],
-    [1093, 1310, 1624, 1399],
-    [1297, 1478, 1612],
-    [1087, 1297, 1612, 1399],
-    [1202, 1478, 1490],
-    [1479, 1491, 1626, 1614],
-    [1401, 1614, 1626],
-    [1311, 1491, 1626],
-    [1095, 1311, 1626, 1401],
-    [1299, 1479, 1614],
-    [1089, 1299, 1614, 1401],
-    [1203, 1479, 1491],
-    [1480, 1492, 1627, 1615],
-    [1402, 1615, 1627],
-    [1312, 1492, 1627],
-    [1096, 1312, 1627, 1402],
-    [1300, 1480, 1615],
-    [1090, 1300, 1615, 1402],
-    [1204, 1480, 1492],
-    [1481, 1493, 1628, 1616],
-    [1403, 1616, 1628],
-    [1313, 1493, 1628],
-    [1097, 1313, 1628, 1403],
-    [1301, 1481, 1616],
-    [1091, 1301, 1616, 1403],
-    [1205, 1481, 1493],
-    [1482, 1494, 1641, 1629],
-    [1404, 1629, 1641],
-    [1314, 1494, 1641],
-    [1110, 1314, 1641, 1404],
-    [1302, 1482, 1629],
-    [1098, 1302, 1629, 1404],
-    [1206, 1482, 1494],
-    [1483, 1495, 1642, 1630],
-    [1405, 1630, 1642],
-    [1315, 1495, 1642],
-    [1111, 1315, 1642, 1405],
-    [1303, 1483, 1630],
-    [1099, 1303, 1630, 1405],
-    [1207, 1483, 1495],
-    [1484, 1496, 1645, 1635],
-    [1410, 1635, 1645],
-    [1316, 1496, 1645],
-    [1112, 1316, 1645, 1410],
-    [1304, 1484, 1635],
-    [1100, 1304, 1635, 1410],
-    [1208, 1484, 1496],
-    [1485, 1497, 1646, 1636],
-    [1411, 1636, 1646],
-    [1317, 1497, 1646],
-    [1113, 1317, 1646, 1411],
-    [1305, 1485, 1636],
-    [1101, 1305, 1636, 1411],
-    [1209, 1485, 1497],
-    [1486, 1498, 1647, 1637],
-    [1412, 1637, 1647],
-    [1318, 1498, 1647],
-    [1114, 1318, 1647, 1412],
-    [1306, 1486, 1637],
-    [1102, 1306, 1637, 1412],
-    [1210, 1486, 1498],
-    [1487, 1499, 1648, 1638],
-    [1413, 1638, 1648],
-    [1319, 1499, 1648],
-    [1115, 1319, 1648, 1413],
-    [1307, 1487, 1638],
-    [1103, 1307, 1638, 1413],
-    [1211, 1487, 1499],
-    [1500, 1512, 1661, 1651],
-    [1406, 1651, 1661],
-    [1332, 1512, 1661],
-    [1116, 1332, 1661, 1406],
-    [1320, 1500, 1651],
-    [1104, 1320, 1651, 1406],
-    [1218, 1500, 1512],
-    [1501, 1513, 1662, 1652],
-    [1407, 1652, 1662],
-    [1333, 1513, 1662],
-    [1117, 1333, 1662, 1407],
-    [1321, 1501, 1652],
-    [1105, 1321, 1652, 1407],
-    [1219, 1501, 1513],
-    [1502, 1514, 1663, 1653],
-    [1408, 1653, 1663],
-    [1334, 1514, 1663],
-    [1118, 1334, 1663, 1408],
-    [1322, 1502, 1653],
-    [1106, 1322, 1653, 1408],
-    [1220, 1502, 1514],
-    [1503, 1515, 1664, 1654],
-    [1409, 1654, 1664],
-    [1335, 1515, 1664],
-    [1119, 1335, 1664, 1409],
-    [1323, 1503, 1654],
-    [1107, 1323, 1654, 1409],
-    [1221, 1503, 1515],
-    [1504, 1516, 1669, 1657],
-    [1414, 1657, 1669],
-    [1336, 1516, 1669],
-    [1120, 1336, 1669, 1414],
-    [1324, 1504, 1657],
-    [1108, 1324, 1657, 1414],
-    [1222, 1504, 1516],
-    [1505, 1517, 1670, 1658],
-    [1415, 1658, 1670],
-    [1337, 1517, 1670],
-    [1121, 1337, 1670, 1415],
-    [1325, 1505, 1658],
-    [1109, 1325, 1658, 1415],
-    [1223, 1505, 1517],
-    [1506, 1518, 1683, 1671],
-    [1416, 1671, 1683],
-    [1338, 1518, 1683],
-    [1128, 1338, 1683, 1416],
-    [1326, 1506, 1671],
-    [1122, 1326, 1671, 1416],
-    [1224, 1506, 1518],
-    [1507, 1519, 1684, 1672],
-    [1417, 1672, 1684],
-    [1339, 1519, 1684],
-    [1129, 1339, 1684, 1417],
-    [1327, 1507, 1672],
-    [1123, 1327, 1672, 1417],
-    [1225, 1507, 1519],
-    [1508, 1520, 1685, 1673],
-    [1418, 1673, 1685],
-    [1340, 1520, 1685],
-    [1130, 1340, 1685, 1418],
-    [1328, 1508, 1673],
-    [1124, 1328, 1673, 1418],
-    [1226, 1508, 1520],
-    [1509, 1521, 1687, 1675],
-    [1420, 1675, 1687],
-    [1342, 1521, 1687],
-    [1132, 1342, 1687, 1420],
-    [1329, 1509, 1675],
-    [1126, 1329, 1675, 1420],
-    [1227, 1509, 1521],
-    [1510, 1522, 1686, 1674],
-    [1419, 1674, 1686],
-    [1341, 1522, 1686],
-    [1131, 1341, 1686, 1419],
-    [1330, 1510, 1674],
-    [1125, 1330, 1674, 1419],
-    [1228, 1510, 1522],
-    [1511, 1523, 1688, 1676],
-    [1421, 1676, 1688],
-    [1343, 1523, 1688],
-    [1133, 1343, 1688, 1421],
-    [1331, 1511, 1676],
-    [1127, 1331, 1676, 1421],
-    [1229, 1511, 1523],
-    [1536, 1537, 1690, 1689],
-    [1422, 1689, 1690],
-    [1351, 1537, 1690],
-    [1135, 1351, 1690, 1422],
-    [1350, 1536, 1689],
-    [1134, 1350, 1689, 1422],
-    [1245, 1536, 1537],
-    [1524, 1530, 1701, 1695],
-    [1425, 1695, 1701],
-    [1356, 1530, 1701],
-    [1146, 1356, 1701, 1425],
-    [1344, 1524, 1695],
-    [1140, 1344, 1695, 1425],
-    [1233, 1524, 1530],
-    [1525, 1532, 1702, 1696],
-    [1426, 1696, 1702],
-    [1358, 1532, 1702],
-    [1147, 1358, 1702, 1426],
-    [1345, 1525, 1696],
-    [1141, 1345, 1696, 1426],
-    [1234, 1525, 1532],
-    [1526, 1531, 1703, 1697],
-    [1427, 1697, 1703],
-    [1357, 1531, 1703],
-    [1148, 1357, 1703, 1427],
-    [1346, 1526, 1697],
-    [1142, 1346, 1697, 1427],
-    [1235, 1526, 1531],
-    [1527, 1533, 1704, 1698],
-    [1428, 1698, 1704],
-    [1359, 1533, 1704],
-    [1149, 1359, 1704, 1428],
-    [1347, 1527, 1698],
-    [1143, 1347, 1698, 1428],
-    [1236, 1527, 1533],
-    [1538, 1539, 1692, 1691],
-    [1423, 1691, 1692],
-    [1353, 1539, 1692],
-    [1137, 1353, 1692, 1423],
-    [1352, 1538, 1691],
-    [1136, 1352, 1691, 1423],
-    [1246, 1538, 1539],
-    [1540, 1541, 1694, 1693],
-    [1424, 1693, 1694],
-    [1355, 1541, 1694],
-    [1139, 1355, 1694, 1424],
-    [1354, 1540, 1693],
-    [1138, 1354, 1693, 1424],
-    [1247, 1540, 1541],
-    [1528, 1534, 1705, 1699],
-    [1429, 1699, 1705],
-    [1360, 1534, 1705],
-    [1150, 1360, 1705, 1429],
-    [1348, 1528, 1699],
-    [1144, 1348, 1699, 1429],
-    [1237, 1528, 1534],
-    [1529, 1535, 1706, 1700],
-    [1430, 1700, 1706],
-    [1361, 1535, 1706],
-    [1151, 1361, 1706, 1430],
-    [1349, 1529, 1700],
-    [1145, 1349, 1700, 1430],
-    [1238, 1529, 1535],
-    [1542, 1548, 1722, 1710],
-    [1431, 1710, 1722],
-    [1368, 1548, 1722],
-    [1158, 1368, 1722, 1431],
-    [1362, 1542, 1710],
-    [1152, 1362, 1710, 1431],
-    [1248, 1542, 1548],
-    [1543, 1549, 1724, 1712],
-    [1432, 1712, 1724],
-    [1369, 1549, 1724],
-    [1159, 1369, 1724, 1432],
-    [1363, 1543, 1712],
-    [1153, 1363, 1712, 1432],
-    [1249, 1543, 1549],
-    [1544, 1550, 1727, 1715],
-    [1433, 1715, 1727],
-    [1370, 1550, 1727],
-    [1160, 1370, 1727, 1433],
-    [1364, 1544, 1715],
-    [1154, 1364, 1715, 1433],
-    [1250, 1544, 1550],
-    [1546, 1552, 1729, 1717],
-    [1434, 1717, 1729],
-    [1372, 1552, 1729],
-    [1161, 1372, 1729, 1434],
-    [1365, 1546, 1717],
-    [1155, 1365, 1717, 1434],
-    [1252, 1546, 1552],
-    [1545, 1551, 1730, 1718],
-    [1435, 1718, 1730],
-    [1371, 1551, 1730],
-    [1162, 1371, 1730, 1435],
-    [1366, 1545, 1718],
-    [1156, 1366, 1718, 1435],
-    [1251, 1545, 1551],
-    [1547, 1553, 1732, 1720],
-    [1436, 1720, 1732],
-    [1373, 1553, 1732],
-    [1163, 1373, 1732, 1436],
-    [1367, 1547, 1720],
-    [1157, 1367, 1720, 1436],
-    [1253, 1547, 1553],
-    [1554, 1556, 1735, 1734],
-    [1437, 1734, 1735],
-    [1376, 1556, 1735],
-    [1165, 1376, 1735, 1437],
-    [1374, 1554, 1734],
-    [1164, 1374, 1734, 1437],
-    [1257, 1554, 1556],
-    [1555, 1557, 1737, 1736],
-    [1438, 1736, 1737],
-    [1377, 1557, 1737],
-    [1167, 1377, 1737, 1438],
-    [1375, 1555, 1736],
-    [1166, 1375, 1736, 1438],
-    [1258, 1555, 1557],
-    [1558, 1559, 1739, 1738],
-    [1439, 1738, 1739],
-    [1379, 1559, 1739],
-    [1169, 1379, 1739, 1439],
-    [1378, 1558, 1738],
-    [1168, 1378, 1738, 1439],
-    [1259, 1558, 1559],
-    [1260, 1266, 1567, 1743, 1560],
-    [1380, 1560, 1743, 1566],
-    [1383, 1566, 1743, 1567],
-    [1380, 1561, 1744, 1568],
-    [1384, 1568, 1744, 1569],
-    [1261, 1268, 1569, 1744, 1561],
-    [1262, 1267, 1570, 1745, 1562],
-    [1385, 1570, 1745, 1571],
-    [1381, 1562, 1745, 1571],
-    [1386, 1572, 1746, 1574],
-    [1382, 1564, 1746, 1574],
-    [1263, 1269, 1572, 1746, 1564],
-    [1264, 1270, 1575, 1747, 1563],
-    [1387, 1573, 1747, 1575],
-    [1381, 1563, 1747, 1573],
-    [1265, 1271, 1577, 1748, 1565],
-    [1382, 1565, 1748, 1576],
-    [1388, 1576, 1748, 1577],
-    [1272, 1278, 1593, 1752, 1579],
-    [1389, 1578, 1752, 1593],
-    [1383, 1578, 1752, 1579],
-    [1273, 1279, 1594, 1754, 1581],
-    [1384, 1580, 1754, 1581],
-    [1390, 1580, 1754, 1594],
-    [1385, 1582, 1757, 1583],
-    [1391, 1583, 1757, 1595],
-    [1274, 1280, 1595, 1757, 1582],
-    [1275, 1281, 1597, 1759, 1584],
-    [1386, 1584, 1759, 1586],
-    [1393, 1586, 1759, 1597],
-    [1392, 1585, 1760, 1596],
-    [1387, 1585, 1760, 1587],
-    [1276, 1282, 1596, 1760, 1587],
-    [1277, 1283, 1598, 1762, 1589],
-    [1394, 1588, 1762, 1598],
-    [1388, 1588, 1762, 1589],
-    [1389, 1590, 1764, 1599],
-    [1390, 1590, 1764, 1600],
-    [1290, 1291, 1600, 1764, 1599],
-    [1292, 1293, 1602, 1765, 1601],
-    [1392, 1591, 1765, 1602],
-    [1391, 1591, 1765, 1601],
-    [1394, 1592, 1766, 1604],
-    [1294, 1295, 1604, 1766, 1603],
-    [1393, 1592, 1766, 1603],
-    [1284, 1296, 1611, 1768, 1605],
-    [1395, 1605, 1768, 1617],
-    [1398, 1611, 1768, 1617],
-    [1395, 1606, 1770, 1618],
-    [1399, 1612, 1770, 1618],
-    [1285, 1297, 1612, 1770, 1606],
-    [1286, 1298, 1613, 1771, 1607],
-    [1396, 1607, 1771, 1619],
-    [1400, 1613, 1771, 1619],
-    [1287, 1299, 1614, 1773, 1608],
-    [1401, 1614, 1773, 1620],
-    [1396, 1608, 1773, 1620],
-    [1397, 1609, 1776, 1621],
-    [1288, 1300, 1615, 1776, 1609],
-    [1402, 1615, 1776, 1621],
-    [1289, 1301, 1616, 1778, 1610],
-    [1397, 1610, 1778, 1622],
-    [1403, 1616, 1778, 1622],
-    [1405, 1630, 1791, 1650],
-    [1404, 1629, 1791, 1650],
-    [1302, 1303, 1630, 1791, 1629],
-    [1308, 1320, 1651, 1792, 1623],
-    [1406, 1631, 1792, 1651],
-    [1398, 1623, 1792, 1631],
-    [1310, 1321, 1652, 1793, 1624],
-    [1407, 1632, 1793, 1652],
-    [1399, 1624, 1793, 1632],
-    [1309, 1322, 1653, 1794, 1625],
-    [1408, 1633, 1794, 1653],
-    [1400, 1625, 1794, 1633],
-    [1409, 1634, 1795, 1654],
-    [1311, 1323, 1654, 1795, 1626],
-    [1401, 1626, 1795, 1634],
-    [1410, 1635, 1796, 1655],
-    [1304, 1305, 1636, 1796, 1635],
-    [1411, 1636, 1796, 1655],
-    [1412, 1637, 1797, 1656],
-    [1413, 1638, 1797, 1656],
-    [1306, 1307, 1638, 1797, 1637],
-    [1312, 1324, 1657, 1798, 1627],
-    [1414, 1639, 1798, 1657],
-    [1402, 1627, 1798, 1639],
-    [1313, 1325, 1658, 1799, 1628],
-    [1415, 1640, 1799, 1658],
-    [1403, 1628, 1799, 1640],
-    [1314, 1326, 1671, 1800, 1641],
-    [1404, 1641, 1800, 1659],
-    [1416, 1659, 1800, 1671],
-    [1315, 1327, 1672, 1801, 1642],
-    [1405, 1642, 1801, 1660],
-    [1417, 1660, 1801, 1672],
-    [1407, 1643, 1802, 1662],
-    [1406, 1643, 1802, 1661],
-    [1332, 1333, 1662, 1802, 1661],
-    [1409, 1644, 1803, 1664],
-    [1334, 1335, 1664, 1803, 1663],
-    [1408, 1644, 1803, 1663],
-    [1410, 1645, 1804, 1665],
-    [1316, 1328, 1673, 1804, 1645],
-    [1418, 1665, 1804, 1673],
-    [1317, 1330, 1674, 1805, 1646],
-    [1411, 1646, 1805, 1666],
-    [1419, 1666, 1805, 1674],
-    [1318, 1329, 1675, 1806, 1647],
-    [1412, 1647, 1806, 1667],
-    [1420, 1667, 1806, 1675],
-    [1319, 1331, 1676, 1807, 1648],
-    [1413, 1648, 1807, 1668],
-    [1421, 1668, 1807, 1676],
-    [1414, 1649, 1808, 1669],
-    [1415, 1649, 1808, 1670],
-    [1336, 1337, 1670, 1808, 1669],
-    [1338, 1350, 1689, 1821, 1683],
-    [1422, 1677, 1821, 1689],
-    [1416, 1677, 1821, 1683],
-    [1422, 1678, 1823, 1690],
-    [1339, 1351, 1690, 1823, 1684],
-    [1417, 1678, 1823, 1684],
-    [1340, 1352, 1691, 1826, 1685],
-    [1418, 1679, 1826, 1685],
-    [1423, 1679, 1826, 1691],
-    [1341, 1353, 1692, 1828, 1686],
-    [1419, 1680, 1828, 1686],
-    [1423, 1680, 1828, 1692],
-    [1424, 1681, 1829, 1693],
-    [1420, 1681, 1829, 1687],
-    [1342, 1354, 1693, 1829, 1687],
-    [1343, 1355, 1694, 1831, 1688],
-    [1424, 1682, 1831, 1694],
-    [1421, 1682, 1831, 1688],
-    [1425, 1695, 1833, 1707],
-    [1344, 1345, 1696, 1833, 1695],
-    [1426, 1696, 1833, 1707],
-    [1346, 1347, 1698, 1834, 1697],
-    [1427, 1697, 1834, 1708],
-    [1428, 1698, 1834, 1708],
-    [1430, 1700, 1835, 1709],
-    [1429, 1699, 1835, 1709],
-    [1348, 1349, 1700, 1835, 1699],
-    [1356, 1362, 1710, 1837, 1701],
-    [1425, 1701, 1837, 1711],
-    [1431, 1710, 1837, 1711],
-    [1427, 1703, 1839, 1714],
-    [1432, 1712, 1839, 1714],
-    [1357, 1363, 1712, 1839, 1703],
-    [1358, 1364, 1715, 1840, 1702],
-    [1433, 1713, 1840, 1715],
-    [1426, 1702, 1840, 1713],
-    [1434, 1716, 1842, 1717],
-    [1428, 1704, 1842, 1716],
-    [1359, 1365, 1717, 1842, 1704],
-    [1360, 1366, 1718, 1845, 1705],
-    [1429, 1705, 1845, 1719],
-    [1435, 1718, 1845, 1719],
-    [1361, 1367, 1720, 1847, 1706],
-    [1430, 1706, 1847, 1721],
-    [1436, 1720, 1847, 1721],
-    [1368, 1374, 1734, 1851, 1722],
-    [1437, 1723, 1851, 1734],
-    [1431, 1722, 1851, 1723],
-    [1369, 1375, 1736, 1852, 1724],
-    [1432, 1724, 1852, 1726],
-    [1438, 1726, 1852, 1736],
-    [1433, 1725, 1853, 1727],
-    [1437, 1725, 1853, 1735],
-    [1370, 1376, 1735, 1853, 1727],
-    [1372, 1377, 1737, 1854, 1729],
-    [1434, 1728, 1854, 1729],
-    [1438, 1728, 1854, 1737],
-    [1439, 1731, 1855, 1738],
-    [1435, 1730, 1855, 1731],
-    [1371, 1378, 1738, 1855, 1730],
-    [1373, 1379, 1739, 1856, 1732],
-    [1439, 1733, 1856, 1739],
-    [1436, 1732, 1856, 1733],
-    [1740, 1741, 1742],
-    [1443, 1445, 1742, 1741],
-    [1442, 1444, 1742, 1740],
-    [1444, 1445, 1742],
-    [1440, 1441, 1741, 1740],
-    [1441, 1443, 1741],
-    [1440, 1442, 1740],
-    [1749, 1753, 1755],
-    [1458, 1459, 1755, 1753],
-    [1447, 1453, 1755, 1749],
-    [1453, 1459, 1755],
-    [1446, 1452, 1753, 1749],
-    [1452, 1458, 1753],
-    [1446, 1447, 1749],
-    [1750, 1756, 1758],
-    [1460, 1461, 1758, 1756],
-    [1449, 1455, 1758, 1750],
-    [1455, 1461, 1758],
-    [1448, 1454, 1756, 1750],
-    [1454, 1460, 1756],
-    [1448, 1449, 1750],
-    [1751, 1761, 1763],
-    [1462, 1463, 1763, 1761],
-    [1451, 1457, 1763, 1751],
-    [1457, 1463, 1763],
-    [1450, 1456, 1761, 1751],
-    [1456, 1462, 1761],
-    [1450, 1451, 1751],
-    [1767, 1779, 1785],
-    [1482, 1494, 1785, 1779],
-    [1476, 1488, 1785, 1767],
-    [1488, 1494, 1785],
-    [1464, 1470, 1779, 1767],
-    [1470, 1482, 1779],
-    [1464, 1476, 1767],
-    [1769, 1780, 1786],
-    [1483, 1495, 1786, 1780],
-    [1477, 1489, 1786, 1769],
-    [1489, 1495, 1786],
-    [1465, 1471, 1780, 1769],
-    [1471, 1483, 1780],
-    [1465, 1477, 1769],
-    [1772, 1781, 1787],
-    [1484, 1496, 1787, 1781],
-    [1478, 1490, 1787, 1772],
-    [1490, 1496, 1787],
-    [1466, 1472, 1781, 1772],
-    [1472, 1484, 1781],
-    [1466, 1478, 1772],
-    [1774, 1783, 1788],
-    [1486, 1498, 1788, 1783],
-    [1479, 1491, 1788, 1774],
-    [1491, 1498, 1788],
-    [1467, 1474, 1783, 1774],
-    [1474, 1486, 1783],
-    [1467, 1479, 1774],
-    [1775, 1782, 1789],
-    [1485, 1497, 1789, 1782],
-    [1480, 1492, 1789, 1775],
-    [1492, 1497, 1789],
-    [1468, 1473, 1782, 1775],
-    [1473, 1485, 1782],
-    [1468, 1480, 1775],
-    [1777, 1784, 1790],
-    [1487, 1499, 1790, 1784],
-    [1481, 1493, 1790, 1777],
-    [1493, 1499, 1790],
-    [1469, 1475, 1784, 1777],
-    [1475, 1487, 1784],
-    [1469, 1481, 1777],
-    [1809, 1815, 1822],
-    [1524, 1530, 1822, 1815],
-    [1506, 1518, 1822, 1809],
-    [1518, 1530, 1822],
-    [1500, 1512, 1815, 1809],
-    [1512, 1524, 1815],
-    [1500, 1506, 1809],
-    [1810, 1817, 1824],
-    [1526, 1531, 1824, 1817],
-    [1507, 1519, 1824, 1810],
-    [1519, 1531, 1824],
-    [1502, 1514, 1817, 1810],
-    [1514, 1526, 1817],
-    [1502, 1507, 1810],
-    [1811, 1816, 1825],
-    [1525, 1532, 1825, 1816],
-    [1508, 1520, 1825, 1811],
-    [1520, 1532, 1825],
-    [1501, 1513, 1816, 1811],
-    [1513, 1525, 1816],
-    [1501, 1508, 1811],
-    [1812, 1818, 1827],
-    [1527, 1533, 1827, 1818],
-    [1509, 1521, 1827, 1812],
-    [1521, 1533, 1827],
-    [1503, 1515, 1818, 1812],
-    [1515, 1527, 1818],
-    [1503, 1509, 1812],
-    [1813, 1819, 1830],
-    [1528, 1534, 1830, 1819],
-    [1510, 1522, 1830, 1813],
-    [1522, 1534, 1830],
-    [1504, 1516, 1819, 1813],
-    [1516, 1528, 1819],
-    [1504, 1510, 1813],
-    [1814, 1820, 1832],
-    [1529, 1535, 1832, 1820],
-    [1511, 1523, 1832, 1814],
-    [1523, 1535, 1832],
-    [1505, 1517, 1820, 1814],
-    [1517, 1529, 1820],
-    [1505, 1511, 1814],
-    [1836, 1838, 1848],
-    [1543, 1549, 1848, 1838],
-    [1542, 1548, 1848, 1836],
-    [1548, 1549, 1848],
-    [1536, 1537, 1838, 1836],
-    [1537, 1543, 1838],
-    [1536, 1542, 1836],
-    [1841, 1843, 1849],
-    [1545, 1551, 1849, 1843],
-    [1544, 1550, 1849, 1841],
-    [1550, 1551, 1849],
-    [1538, 1539, 1843, 1841],
-    [1539, 1545, 1843],
-    [1538, 1544, 1841],
-    [1844, 1846, 1850],
-    [1547, 1553, 1850, 1846],
-    [1546, 1552, 1850, 1844],
-    [1552, 1553, 1850],
-    [1540, 1541, 1846, 1844],
-    [1541, 1547, 1846],
-    [1540, 1546, 1844],
-    [1857, 1858, 1859],
-    [1558, 1559, 1859, 1858],
-    [1555, 1557, 1859, 1857],
-    [1557, 1559, 1859],
-    [1554, 1556, 1858, 1857],
-    [1556, 1558, 1858],
-    [1554, 1555, 1857],
-    [1440, 1560, 1860, 2040, 1740],
-    [1441, 1561, 1861, 2041, 1741],
-    [1560, 1561, 1861, 1860],
-    [1740, 1741, 2041, 2040],
-    [1860, 1861, 2041, 2040],
-    [1562, 1563, 1863, 1862],
-    [1444, 1563, 1863, 2044, 1742],
-    [1442, 1562, 1862, 2042, 1740],
-    [1740, 1742, 2044, 2042],
-    [1862, 1863, 2044, 2042],
-    [1445, 1565, 1865, 2045, 1742],
-    [1443, 1564, 1864, 2043, 1741],
-    [1564, 1565, 1865, 1864],
-    [1741, 1742, 2045, 2043],
-    [1864, 1865, 2045, 2043],
-    [2046, 2047, 2227, 2343, 2226],
-    [2222, 2227, 2343],
-    [2220, 2226, 2343],
-    [2040, 2042, 2222, 2343, 2220],
-    [1745, 1862, 2222, 2227, 1870],
-    [1870, 2047, 2227],
-    [1743, 1860, 2220, 2226, 1867],
-    [1867, 2046, 2226],
-    [1862, 2042, 2222],
-    [1860, 2040, 2220],
-    [1749, 2046, 2047],
-    [1447, 1570, 1870, 2047, 1749],
-    [1446, 1567, 1867, 2046, 1749],
-    [1740, 2040, 2042],
-    [1570, 1745, 1870],
-    [1567, 1743, 1867],
-    [1562, 1745, 1862],
-    [1560, 1743, 1860],
-    [2048, 2049, 2229, 2344, 2228],
-    [2223, 2229, 2344],
-    [2221, 2228, 2344],
-    [2041, 2043, 2223, 2344, 2221],
-    [1746, 1864, 2223, 2229, 1872],
-    [1872, 2049, 2229],
-    [1744, 1861, 2221, 2228, 1869],
-    [1869, 2048, 2228],
-    [1864, 2043, 2223],
-    [1861, 2041, 2221],
-    [1750, 2048, 2049],
-    [1449, 1572, 1872, 2049, 1750],
-    [1448, 1569, 1869, 2048, 1750],
-    [1741, 2041, 2043],
-    [1572, 1746, 1872],
-    [1569, 1744, 1869],
-    [1564, 1746, 1864],
-    [1561, 1744, 1861],
-    [2050, 2051, 2231, 2345, 2230],
-    [2225, 2231, 2345],
-    [2224, 2230, 2345],
-    [2044, 2045, 2225, 2345, 2224],
-    [1748, 1865, 2225, 2231, 1877],
-    [1877, 2051, 2231],
-    [1747, 1863, 2224, 2230, 1875],
-    [1875, 2050, 2230],
-    [1865, 2045, 2225],
-    [1863, 2044, 2224],
-    [1751, 2050, 2051],
-    [1451, 1577, 1877, 2051, 1751],
-    [1450, 1575, 1875, 2050, 1751],
-    [1742, 2044, 2045],
-    [1577, 1748, 1877],
-    [1575, 1747, 1875],
-    [1565, 1748, 1865],
-    [1563, 1747, 1863],
-    [1866, 1868, 2160],
-    [1744, 1861, 2160, 1868],
-    [1743, 1860, 2160, 1866],
-    [1860, 1861, 2160],
-    [1566, 1568, 1868, 1866],
-    [1568, 1744, 1868],
-    [1566, 1743, 1866],
-    [1871, 1873, 2161],
-    [1747, 1863, 2161, 1873],
-    [1745, 1862, 2161, 1871],
-    [1862, 1863, 2161],
-    [1571, 1573, 1873, 1871],
-    [1573, 1747, 1873],
-    [1571, 1745, 1871],
-    [1874, 1876, 2162],
-    [1748, 1865, 2162, 1876],
-    [1746, 1864, 2162, 1874],
-    [1864, 1865, 2162],
-    [1574, 1576, 1876, 1874],
-    [1576, 1748, 1876],
-    [1574, 1746, 1874],
-    [1752, 1878, 2163, 1879],
-    [1867, 1879, 2163],
-    [1866, 1878, 2163],
-    [1743, 1866, 2163, 1867],
-    [1567, 1579, 1879, 1867],
-    [1579, 1752, 1879],
-    [1566, 1578, 1878, 1866],
-    [1578, 1752, 1878],
-    [1754, 1880, 2164, 1881],
-    [1869, 1881, 2164],
-    [1868, 1880, 2164],
-    [1744, 1868, 2164, 1869],
-    [1569, 1581, 1881, 1869],
-    [1581, 1754, 1881],
-    [1568, 1580, 1880, 1868],
-    [1580, 1754, 1880],
-    [1757, 1882, 2165, 1883],
-    [1871, 1883, 2165],
-    [1870, 1882, 2165],
-    [1745, 1870, 2165, 1871],
-    [1571, 1583, 1883, 1871],
-    [1583, 1757, 1883],
-    [1570, 1582, 1882, 1870],
-    [1582, 1757, 1882],
-    [1759, 1884, 2166, 1886],
-    [1874, 1886, 2166],
-    [1872, 1884, 2166],
-    [1746, 1872, 2166, 1874],
-    [1574, 1586, 1886, 1874],
-    [1586, 1759, 1886],
-    [1572, 1584, 1884, 1872],
-    [1584, 1759, 1884],
-    [1760, 1885, 2167, 1887],
-    [1875, 1887, 2167],
-    [1873, 1885, 2167],
-    [1747, 1873, 2167, 1875],
-    [1575, 1587, 1887, 1875],
-    [1587, 1760, 1887],
-    [1573, 1585, 1885, 1873],
-    [1585, 1760, 1885],
-    [1762, 1888, 2168, 1889],
-    [1877, 1889, 2168],
-    [1876, 1888, 2168],
-    [1748, 1876, 2168, 1877],
-    [1577, 1589, 1889, 1877],
-    [1589, 1762, 1889],
-    [1576, 1588, 1888, 1876],
-    [1588, 1762, 1888],
-    [1580, 1590, 1890, 1880],
-    [1578, 1590, 1890, 1878],
-    [1866, 1868, 1880, 1890, 1878],
-    [1452, 1579, 1879, 2052, 1753],
-    [1749, 1753, 2052, 2046],
-    [1867, 1879, 2052, 2046],
-    [1453, 1582, 1882, 2053, 1755],
-    [1749, 1755, 2053, 2047],
-    [1870, 1882, 2053, 2047],
-    [1454, 1581, 1881, 2054, 1756],
-    [1750, 1756, 2054, 2048],
-    [1869, 1881, 2054, 2048],
-    [1455, 1584, 1884, 2055, 1758],
-    [1750, 1758, 2055, 2049],
-    [1872, 1884, 2055, 2049],
-    [1583, 1591, 1891, 1883],
-    [1585, 1591, 1891, 1885],
-    [1871, 1873, 1885, 1891, 1883],
-    [1586, 1592, 1892, 1886],
-    [1588, 1592, 1892, 1888],
-    [1874, 1876, 1888, 1892, 1886],
-    [1456, 1587, 1887, 2056, 1761],
-    [1751, 1761, 2056, 2050],
-    [1875, 1887, 2056, 2050],
-    [1457, 1589, 1889, 2057, 1763],
-    [1751, 1763, 2057, 2051],
-    [1877, 1889, 2057, 2051],
-    [1893, 1899, 2169],
-    [1764, 1890, 2169, 1899],
-    [1752, 1878, 2169, 1893],
-    [1878, 1890, 2169],
-    [1593, 1599, 1899, 1893],
-    [1599, 1764, 1899],
-    [1593, 1752, 1893],
-    [1590, 1764, 1890],
-    [1894, 1900, 2170],
-    [1764, 1890, 2170, 1900],
-    [1754, 1880, 2170, 1894],
-    [1880, 1890, 2170],
-    [1594, 1600, 1900, 1894],
-    [1600, 1764, 1900],
-    [1594, 1754, 1894],
-    [1895, 1901, 2171],
-    [1765, 1891, 2171, 1901],
-    [1757, 1883, 2171, 1895],
-    [1883, 1891, 2171],
-    [1595, 1601, 1901, 1895],
-    [1601, 1765, 1901],
-    [1595, 1757, 1895],
-    [1591, 1765, 1891],
-    [1896, 1902, 2172],
-    [1765, 1891, 2172, 1902],
-    [1760, 1885, 2172, 1896],
-    [1885, 1891, 2172],
-    [1596, 1602, 1902, 1896],
-    [1602, 1765, 1902],
-    [1596, 1760, 1896],
-    [1897, 1903, 2173],
-    [1766, 1892, 2173, 1903],
-    [1759, 1886, 2173, 1897],
-    [1886, 1892, 2173],
-    [1597, 1603, 1903, 1897],
-    [1603, 1766, 1903],
-    [1597, 1759, 1897],
-    [1592, 1766, 1892],
-    [1898, 1904, 2174],
-    [1766, 1892, 2174, 1904],
-    [1762, 1888, 2174, 1898],
-    [1888, 1892, 2174],
-    [1598, 1604, 1904, 1898],
-    [1604, 1766, 1904],
-    [1598, 1762, 1898],
-    [1458, 1605, 1905, 2058, 1753],
-    [1459, 1606, 1906, 2059, 1755],
-    [1605, 1606, 1906, 1905],
-    [1753, 1755, 2059, 2058],
-    [1905, 1906, 2059, 2058],
-    [1460, 1607, 1907, 2060, 1756],
-    [1461, 1608, 1908, 2061, 1758],
-    [1607, 1608, 1908, 1907],
-    [1756, 1758, 2061, 2060],
-    [1907, 1908, 2061, 2060],
-    [1463, 1610, 1910, 2063, 1763],
-    [1462, 1609, 1909, 2062, 1761],
-    [1609, 1610, 1910, 1909],
-    [1761, 1763, 2063, 2062],
-    [1909, 1910, 2063, 2062],
-    [2244, 2256, 2355],
-    [2064, 2076, 2256, 2355, 2238],
-    [2052, 2058, 2244, 2355, 2232],
-    [2232, 2238, 2355],
-    [1768, 1905, 2244, 2256, 1911],
-    [1911, 2076, 2256],
-    [1905, 2058, 2244],
-    [1752, 1879, 2232, 2238, 1893],
-    [1893, 2064, 2238],
-    [1879, 2052, 2232],
-    [1767, 2064, 2076],
-    [1476, 1611, 1911, 2076, 1767],
-    [1464, 1593, 1893, 2064, 1767],
-    [1753, 2052, 2058],
-    [1611, 1768, 1911],
-    [1605, 1768, 1905],
-    [2246, 2258, 2356],
-    [2065, 2077, 2258, 2356, 2239],
-    [2054, 2060, 2246, 2356, 2233],
-    [2233, 2239, 2356],
-    [1771, 1907, 2246, 2258, 1913],
-    [1913, 2077, 2258],
-    [1907, 2060, 2246],
-    [1754, 1881, 2233, 2239, 1894],
-    [1894, 2065, 2239],
-    [1881, 2054, 2233],
-    [1769, 2065, 2077],
-    [1477, 1613, 1913, 2077, 1769],
-    [1465, 1594, 1894, 2065, 1769],
-    [1756, 2054, 2060],
-    [1613, 1771, 1913],
-    [1607, 1771, 1907],
-    [2245, 2257, 2357],
-    [2066, 2078, 2257, 2357, 2240],
-    [2053, 2059, 2245, 2357, 2234],
-    [2234, 2240, 2357],
-    [1770, 1906, 2245, 2257, 1912],
-    [1912, 2078, 2257],
-    [1906, 2059, 2245],
-    [1757, 1882, 2234, 2240, 1895],
-    [1895, 2066, 2240],
-    [1882, 2053, 2234],
-    [1772, 2066, 2078],
-    [1478, 1612, 1912, 2078, 1772],
-    [1466, 1595, 1895, 2066, 1772],
-    [1755, 2053, 2059],
-    [1612, 1770, 1912],
-    [1606, 1770, 1906],
-    [2247, 2259, 2358],
-    [2067, 2079, 2259, 2358, 2241],
-    [2055, 2061, 2247, 2358, 2235],
-    [2235, 2241, 2358],
-    [1773, 1908, 2247, 2259, 1914],
-    [1914, 2079, 2259],
-    [1908, 2061, 2247],
-    [1759, 1884, 2235, 2241, 1897],
-    [1897, 2067, 2241],
-    [1884, 2055, 2235],
-    [1774, 2067, 2079],
-    [1479, 1614, 1914, 2079, 1774],
-    [1467, 1597, 1897, 2067, 1774],
-    [1758, 2055, 2061],
-    [1614, 1773, 1914],
-    [1608, 1773, 1908],
-    [2248, 2260, 2359],
-    [2068, 2080, 2260, 2359, 2242],
-    [2056, 2062, 2248, 2359, 2236],
-    [2236, 2242, 2359],
-    [1776, 1909, 2248, 2260, 1915],
-    [1915, 2080, 2260],
-    [1909, 2062, 2248],
-    [1760, 1887, 2236, 2242, 1896],
-    [1896, 2068, 2242],
-    [1887, 2056, 2236],
-    [1775, 2068, 2080],
-    [1480, 1615, 1915, 2080, 1775],
-    [1468, 1596, 1896, 2068, 1775],
-    [1761, 2056, 2062],
-    [1615, 1776, 1915],
-    [1609, 1776, 1909],
-    [2249, 2261, 2360],
-    [2069, 2081, 2261, 2360, 2243],
-    [2057, 2063, 2249, 2360, 2237],
-    [2237, 2243, 2360],
-    [1778, 1910, 2249, 2261, 1916],
-    [1916, 2081, 2261],
-    [1910, 2063, 2249],
-    [1762, 1889, 2237, 2243, 1898],
-    [1898, 2069, 2243],
-    [1889, 2057, 2237],
-    [1777, 2069, 2081],
-    [1481, 1616, 1916, 2081, 1777],
-    [1469, 1598, 1898, 2069, 1777],
-    [1763, 2057, 2063],
-    [1616, 1778, 1916],
-    [1610, 1778, 1910],
-    [1470, 1599, 1899, 2070, 1779],
-    [1767, 1779, 2070, 2064],
-    [1893, 1899, 2070, 2064],
-    [1471, 1600, 1900, 2071, 1780],
-    [1769, 1780, 2071, 2065],
-    [1894, 1900, 2071, 2065],
-    [1472, 1601, 1901, 2072, 1781],
-    [1772, 1781, 2072, 2066],
-    [1895, 1901, 2072, 2066],
-    [1473, 1602, 1902, 2073, 1782],
-    [1896, 1902, 2073, 2068],
-    [1775, 1782, 2073, 2068],
-    [1474, 1603, 1903, 2074, 1783],
-    [1774, 1783, 2074, 2067],
-    [1897, 1903, 2074, 2067],
-    [1475, 1604, 1904, 2075, 1784],
-    [1777, 1784, 2075, 2069],
-    [1898, 1904, 2075, 2069],
-    [1917, 1918, 2175],
-    [1770, 1906, 2175, 1918],
-    [1768, 1905, 2175, 1917],
-    [1905, 1906, 2175],
-    [1617, 1618, 1918, 1917],
-    [1618, 1770, 1918],
-    [1617, 1768, 1917],
-    [1919, 1920, 2176],
-    [1773, 1908, 2176, 1920],
-    [1771, 1907, 2176, 1919],
-    [1907, 1908, 2176],
-    [1619, 1620, 1920, 1919],
-    [1620, 1773, 1920],
-    [1619, 1771, 1919],
-    [1921, 1922, 2177],
-    [1778, 1910, 2177, 1922],
-    [1776, 1909, 2177, 1921],
-    [1909, 1910, 2177],
-    [1621, 1622, 1922, 1921],
-    [1622, 1778, 1922],
-    [1621, 1776, 1921],
-    [2262, 2263, 2367],
-    [2071, 2083, 2263, 2367, 2251],
-    [2070, 2082, 2262, 2367, 2250],
-    [2250, 2251, 2367],
-    [1791, 1929, 2262, 2263, 1930],
-    [1930, 2083, 2263],
-    [1929, 2082, 2262],
-    [1764, 1899, 2250, 2251, 1900],
-    [1900, 2071, 2251],
-    [1899, 2070, 2250],
-    [1780, 2071, 2083],
-    [1483, 1630, 1930, 2083, 1780],
-    [1779, 2070, 2082],
-    [1482, 1629, 1929, 2082, 1779],
-    [1630, 1791, 1930],
-    [1629, 1791, 1929],
-    [2264, 2265, 2368],
-    [2073, 2085, 2265, 2368, 2253],
-    [2072, 2084, 2264, 2368, 2252],
-    [2252, 2253, 2368],
-    [1796, 1935, 2264, 2265, 1936],
-    [1936, 2085, 2265],
-    [1935, 2084, 2264],
-    [1765, 1901, 2252, 2253, 1902],
-    [1902, 2073, 2253],
-    [1901, 2072, 2252],
-    [1782, 2073, 2085],
-    [1485, 1636, 1936, 2085, 1782],
-    [1781, 2072, 2084],
-    [1484, 1635, 1935, 2084, 1781],
-    [1636, 1796, 1936],
-    [1635, 1796, 1935],
-    [2266, 2267, 2369],
-    [2075, 2087, 2267, 2369, 2255],
-    [2074, 2086, 2266, 2369, 2254],
-    [2254, 2255, 2369],
-    [1797, 1937, 2266, 2267, 1938],
-    [1938, 2087, 2267],
-    [1937, 2086, 2266],
-    [1766, 1903, 2254, 2255, 1904],
-    [1904, 2075, 2255],
-    [1903, 2074, 2254],
-    [1784, 2075, 2087],
-    [1487, 1638, 1938, 2087, 1784],
-    [1783, 2074, 2086],
-    [1486, 1637, 1937, 2086, 1783],
-    [1638, 1797, 1938],
-    [1637, 1797, 1937],
-    [1611, 1623, 1923, 1911],
-    [1488, 1623, 1923, 2088, 1785],
-    [1767, 1785, 2088, 2076],
-    [1911, 1923, 2088, 2076],
-    [1613, 1625, 1925, 1913],
-    [1489, 1625, 1925, 2089, 1786],
-    [1769, 1786, 2089, 2077],
-    [1913, 1925, 2089, 2077],
-    [1612, 1624, 1924, 1912],
-    [1490, 1624, 1924, 2090, 1787],
-    [1772, 1787, 2090, 2078],
-    [1912, 1924, 2090, 2078],
-    [1614, 1626, 1926, 1914],
-    [1491, 1626, 1926, 2091, 1788],
-    [1774, 1788, 2091, 2079],
-    [1914, 1926, 2091, 2079],
-    [1615, 1627, 1927, 1915],
-    [1492, 1627, 1927, 2092, 1789],
-    [1775, 1789, 2092, 2080],
-    [1915, 1927, 2092, 2080],
-    [1616, 1628, 1928, 1916],
-    [1493, 1628, 1928, 2093, 1790],
-    [1777, 1790, 2093, 2081],
-    [1916, 1928, 2093, 2081],
-    [1792, 1923, 2178, 1931],
-    [1917, 1931, 2178],
-    [1911, 1923, 2178],
-    [1768, 1911, 2178, 1917],
-    [1617, 1631, 1931, 1917],
-    [1631, 1792, 1931],
-    [1623, 1792, 1923],
-    [1793, 1924, 2179, 1932],
-    [1918, 1932, 2179],
-    [1912, 1924, 2179],
-    [1770, 1912, 2179, 1918],
-    [1618, 1632, 1932, 1918],
-    [1632, 1793, 1932],
-    [1624, 1793, 1924],
-    [1794, 1925, 2180, 1933],
-    [1919, 1933, 2180],
-    [1913, 1925, 2180],
-    [1771, 1913, 2180, 1919],
-    [1619, 1633, 1933, 1919],
-    [1633, 1794, 1933],
-    [1625, 1794, 1925],
-    [1795, 1926, 2181, 1934],
-    [1920, 1934, 2181],
-    [1914, 1926, 2181],
-    [1773, 1914, 2181, 1920],
-    [1620, 1634, 1934, 1920],
-    [1634, 1795, 1934],
-    [1626, 1795, 1926],
-    [1798, 1927, 2182, 1939],
-    [1921, 1939, 2182],
-    [1915, 1927, 2182],
-    [1776, 1915, 2182, 1921],
-    [1621, 1639, 1939, 1921],
-    [1639, 1798, 1939],
-    [1627, 1798, 1927],
-    [1799, 1928, 2183, 1940],
-    [1922, 1940, 2183],
-    [1916, 1928, 2183],
-    [1778, 1916, 2183, 1922],
-    [1622, 1640, 1940, 1922],
-    [1640, 1799, 1940],
-    [1628, 1799, 1928],
-    [1494, 1641, 1941, 2094, 1785],
-    [1629, 1641, 1941, 1929],
-    [1779, 1785, 2094, 2082],
-    [1929, 1941, 2094, 2082],
-    [1495, 1642, 1942, 2095, 1786],
-    [1630, 1642, 1942, 1930],
-    [1780, 1786, 2095, 2083],
-    [1930, 1942, 2095, 2083],
-    [1632, 1643, 1943, 1932],
-    [1631, 1643, 1943, 1931],
-    [1917, 1918, 1932, 1943, 1931],
-    [1634, 1644, 1944, 1934],
-    [1633, 1644, 1944, 1933],
-    [1919, 1920, 1934, 1944, 1933],
-    [1635, 1645, 1945, 1935],
-    [1496, 1645, 1945, 2096, 1787],
-    [1781, 1787, 2096, 2084],
-    [1935, 1945, 2096, 2084],
-    [1497, 1646, 1946, 2097, 1789],
-    [1636, 1646, 1946, 1936],
-    [1782, 1789, 2097, 2085],
-    [1936, 1946, 2097, 2085],
-    [1498, 1647, 1947, 2098, 1788],
-    [1637, 1647, 1947, 1937],
-    [1937, 1947, 2098, 2086],
-    [1783, 1788, 2098, 2086],
-    [1499, 1648, 1948, 2099, 1790],
-    [1638, 1648, 1948, 1938],
-    [1784, 1790, 2099, 2087],
-    [1938, 1948, 2099, 2087],
-    [1639, 1649, 1949, 1939],
-    [1640, 1649, 1949, 1940],
-    [1921, 1922, 1940, 1949, 1939],
-    [2100, 2106, 2286, 2382, 2280],
-    [2274, 2286, 2382],
-    [2268, 2280, 2382],
-    [2088, 2094, 2274, 2382, 2268],
-    [1800, 1941, 2274, 2286, 1971],
-    [1971, 2106, 2286],
-    [1792, 1923, 2268, 2280, 1951],
-    [1951, 2100, 2280],
-    [1941, 2094, 2274],
-    [1923, 2088, 2268],
-    [1809, 2100, 2106],
-    [1506, 1671, 1971, 2106, 1809],
-    [1500, 1651, 1951, 2100, 1809],
-    [1785, 2088, 2094],
-    [1671, 1800, 1971],
-    [1651, 1792, 1951],
-    [1641, 1800, 1941],
-    [1950, 1959, 2184],
-    [1800, 1941, 2184, 1959],
-    [1791, 1929, 2184, 1950],
-    [1929, 1941, 2184],
-    [1650, 1659, 1959, 1950],
-    [1659, 1800, 1959],
-    [1650, 1791, 1950],
-    [1950, 1960, 2185],
-    [1801, 1942, 2185, 1960],
-    [1791, 1930, 2185, 1950],
-    [1930, 1942, 2185],
-    [1650, 1660, 1960, 1950],
-    [1660, 1801, 1960],
-    [1642, 1801, 1942],
-    [1951, 1961, 2186],
-    [1802, 1943, 2186, 1961],
-    [1792, 1931, 2186, 1951],
-    [1931, 1943, 2186],
-    [1651, 1661, 1961, 1951],
-    [1661, 1802, 1961],
-    [1643, 1802, 1943],
-    [1952, 1962, 2187],
-    [1802, 1943, 2187, 1962],
-    [1793, 1932, 2187, 1952],
-    [1932, 1943, 2187],
-    [1652, 1662, 1962, 1952],
-    [1662, 1802, 1962],
-    [1652, 1793, 1952],
-    [2102, 2107, 2287, 2383, 2282],
-    [2275, 2287, 2383],
-    [2269, 2282, 2383],
-    [2089, 2095, 2275, 2383, 2269],
-    [1801, 1942, 2275, 2287, 1972],
-    [1972, 2107, 2287],
-    [1794, 1925, 2269, 2282, 1953],
-    [1953, 2102, 2282],
-    [1942, 2095, 2275],
-    [1925, 2089, 2269],
-    [1810, 2102, 2107],
-    [1507, 1672, 1972, 2107, 1810],
-    [1502, 1653, 1953, 2102, 1810],
-    [1786, 2089, 2095],
-    [1672, 1801, 1972],
-    [1653, 1794, 1953],
-    [2101, 2108, 2288, 2384, 2281],
-    [2276, 2288, 2384],
-    [2270, 2281, 2384],
-    [2090, 2096, 2276, 2384, 2270],
-    [1804, 1945, 2276, 2288, 1973],
-    [1973, 2108, 2288],
-    [1793, 1924, 2270, 2281, 1952],
-    [1952, 2101, 2281],
-    [1945, 2096, 2276],
-    [1924, 2090, 2270],
-    [1811, 2101, 2108],
-    [1508, 1673, 1973, 2108, 1811],
-    [1501, 1652, 1952, 2101, 1811],
-    [1787, 2090, 2096],
-    [1673, 1804, 1973],
-    [1645, 1804, 1945],
-    [1953, 1963, 2188],
-    [1803, 1944, 2188, 1963],
-    [1794, 1933, 2188, 1953],
-    [1933, 1944, 2188],
-    [1653, 1663, 1963, 1953],
-    [1663, 1803, 1963],
-    [1644, 1803, 1944],
-    [1954, 1964, 2189],
-    [1803, 1944, 2189, 1964],
-    [1795, 1934, 2189, 1954],
-    [1934, 1944, 2189],
-    [1654, 1664, 1964, 1954],
-    [1664, 1803, 1964],
-    [1654, 1795, 1954],
-    [1955, 1965, 2190],
-    [1804, 1945, 2190, 1965],
-    [1796, 1935, 2190, 1955],
-    [1935, 1945, 2190],
-    [1655, 1665, 1965, 1955],
-    [1665, 1804, 1965],
-    [1655, 1796, 1955],
-    [1955, 1966, 2191],
-    [1805, 1946, 2191, 1966],
-    [1796, 1936, 2191, 1955],
-    [1936, 1946, 2191],
-    [1655, 1666, 1966, 1955],
-    [1666, 1805, 1966],
-    [1646, 1805, 1946],
-    [2103, 2109, 2289, 2385, 2283],
-    [2278, 2289, 2385],
-    [2271, 2283, 2385],
-    [2091, 2098, 2278, 2385, 2271],
-    [1806, 1947, 2278, 2289, 1975],
-    [1975, 2109, 2289],
-    [1795, 1926, 2271, 2283, 1954],
-    [1954, 2103, 2283],
-    [1947, 2098, 2278],
-    [1926, 2091, 2271],
-    [1812, 2103, 2109],
-    [1509, 1675, 1975, 2109, 1812],
-    [1503, 1654, 1954, 2103, 1812],
-    [1788, 2091, 2098],
-    [1675, 1806, 1975],
-    [1647, 1806, 1947],
-    [2104, 2110, 2290, 2386, 2284],
-    [2277, 2290, 2386],
-    [2272, 2284, 2386],
-    [2092, 2097, 2277, 2386, 2272],
-    [1805, 1946, 2277, 2290, 1974],
-    [1974, 2110, 2290],
-    [1798, 1927, 2272, 2284, 1957],
-    [1957, 2104, 2284],
-    [1946, 2097, 2277],
-    [1927, 2092, 2272],
-    [1813, 2104, 2110],
-    [1510, 1674, 1974, 2110, 1813],
-    [1504, 1657, 1957, 2104, 1813],
-    [1789, 2092, 2097],
-    [1674, 1805, 1974],
-    [1657, 1798, 1957],
-    [1956, 1967, 2192],
-    [1806, 1947, 2192, 1967],
-    [1797, 1937, 2192, 1956],
-    [1937, 1947, 2192],
-    [1656, 1667, 1967, 1956],
-    [1667, 1806, 1967],
-    [1656, 1797, 1956],
-    [1956, 1968, 2193],
-    [1807, 1948, 2193, 1968],
-    [1797, 1938, 2193, 1956],
-    [1938, 1948, 2193],
-    [1656, 1668, 1968, 1956],
-    [1668, 1807, 1968],
-    [1648, 1807, 1948],
-    [1957, 1969, 2194],
-    [1808, 1949, 2194, 1969],
-    [1798, 1939, 2194, 1957],
-    [1939, 1949, 2194],
-    [1657, 1669, 1969, 1957],
-    [1669, 1808, 1969],
-    [1649, 1808, 1949],
-    [1958, 1970, 2195],
-    [1808, 1949, 2195, 1970],
-    [1799, 1940, 2195, 1958],
-    [1940, 1949, 2195],
-    [1658, 1670, 1970, 1958],
-    [1670, 1808, 1970],
-    [1658, 1799, 1958],
-    [2105, 2111, 2291, 2387, 2285],
-    [2279, 2291, 2387],
-    [2273, 2285, 2387],
-    [2093, 2099, 2279, 2387, 2273],
-    [1807, 1948, 2279, 2291, 1976],
-    [1976, 2111, 2291],
-    [1799, 1928, 2273, 2285, 1958],
-    [1958, 2105, 2285],
-    [1948, 2099, 2279],
-    [1928, 2093, 2273],
-    [1814, 2105, 2111],
-    [1511, 1676, 1976, 2111, 1814],
-    [1505, 1658, 1958, 2105, 1814],
-    [1790, 2093, 2099],
-    [1676, 1807, 1976],
-    [1659, 1677, 1977, 1959],
-    [1660, 1678, 1978, 1960],
-    [1677, 1678, 1978, 1977],
-    [1950, 1959, 1977, 1978, 1960],
-    [1512, 1661, 1961, 2112, 1815],
-    [1809, 1815, 2112, 2100],
-    [1951, 1961, 2112, 2100],
-    [1513, 1662, 1962, 2113, 1816],
-    [1952, 1962, 2113, 2101],
-    [1811, 1816, 2113, 2101],
-    [1514, 1663, 1963, 2114, 1817],
-    [1810, 1817, 2114, 2102],
-    [1953, 1963, 2114, 2102],
-    [1515, 1664, 1964, 2115, 1818],
-    [1812, 1818, 2115, 2103],
-    [1954, 1964, 2115, 2103],
-    [1666, 1680, 1980, 1966],
-    [1679, 1680, 1980, 1979],
-    [1665, 1679, 1979, 1965],
-    [1955, 1965, 1979, 1980, 1966],
-    [1668, 1682, 1982, 1968],
-    [1667, 1681, 1981, 1967],
-    [1681, 1682, 1982, 1981],
-    [1956, 1967, 1981, 1982, 1968],
-    [1516, 1669, 1969, 2116, 1819],
-    [1813, 1819, 2116, 2104],
-    [1957, 1969, 2116, 2104],
-    [1517, 1670, 1970, 2117, 1820],
-    [1814, 1820, 2117, 2105],
-    [1958, 1970, 2117, 2105],
-    [1821, 1977, 2196, 1983],
-    [1971, 1983, 2196],
-    [1959, 1977, 2196],
-    [1800, 1959, 2196, 1971],
-    [1671, 1683, 1983, 1971],
-    [1683, 1821, 1983],
-    [1677, 1821, 1977],
-    [1823, 1978, 2197, 1984],
-    [1972, 1984, 2197],
-    [1960, 1978, 2197],
-    [1801, 1960, 2197, 1972],
-    [1672, 1684, 1984, 1972],
-    [1684, 1823, 1984],
-    [1678, 1823, 1978],
-    [1826, 1979, 2198, 1985],
-    [1973, 1985, 2198],
-    [1965, 1979, 2198],
-    [1804, 1965, 2198, 1973],
-    [1673, 1685, 1985, 1973],
-    [1685, 1826, 1985],
-    [1679, 1826, 1979],
-    [1828, 1980, 2199, 1986],
-    [1974, 1986, 2199],
-    [1966, 1980, 2199],
-    [1805, 1966, 2199, 1974],
-    [1674, 1686, 1986, 1974],
-    [1686, 1828, 1986],
-    [1680, 1828, 1980],
-    [1829, 1981, 2200, 1987],
-    [1975, 1987, 2200],
-    [1967, 1981, 2200],
-    [1806, 1967, 2200, 1975],
-    [1675, 1687, 1987, 1975],
-    [1687, 1829, 1987],
-    [1681, 1829, 1981],
-    [1831, 1982, 2201, 1988],
-    [1976, 1988, 2201],
-    [1968, 1982, 2201],
-    [1807, 1968, 2201, 1976],
-    [1676, 1688, 1988, 1976],
-    [1688, 1831, 1988],
-    [1682, 1831, 1982],
-    [1518, 1683, 1983, 2118, 1822],
-    [1809, 1822, 2118, 2106],
-    [1971, 1983, 2118, 2106],
-    [1519, 1684, 1984, 2119, 1824],
-    [1810, 1824, 2119, 2107],
-    [1972, 1984, 2119, 2107],
-    [1520, 1685, 1985, 2120, 1825],
-    [1811, 1825, 2120, 2108],
-    [1973, 1985, 2120, 2108],
-    [1521, 1687, 1987, 2121, 1827],
-    [1812, 1827, 2121, 2109],
-    [1975, 1987, 2121, 2109],
-    [1522, 1686, 1986, 2122, 1830],
-    [1813, 1830, 2122, 2110],
-    [1974, 1986, 2122, 2110],
-    [1523, 1688, 1988, 2123, 1832],
-    [1814, 1832, 2123, 2111],
-    [1976, 1988, 2123, 2111],
-    [2304, 2305, 2400],
-    [2113, 2125, 2305, 2400, 2293],
-    [2112, 2124, 2304, 2400, 2292],
-    [2292, 2293, 2400],
-    [1833, 1995, 2304, 2305, 1996],
-    [1996, 2125, 2305],
-    [1995, 2124, 2304],
-    [1802, 1961, 2292, 2293, 1962],
-    [1962, 2113, 2293],
-    [1961, 2112, 2292],
-    [1816, 2113, 2125],
-    [1525, 1696, 1996, 2125, 1816],
-    [1815, 2112, 2124],
-    [1524, 1695, 1995, 2124, 1815],
-    [1696, 1833, 1996],
-    [1695, 1833, 1995],
-    [2306, 2307, 2401],
-    [2115, 2127, 2307, 2401, 2295],
-    [2114, 2126, 2306, 2401, 2294],
-    [2294, 2295, 2401],
-    [1834, 1997, 2306, 2307, 1998],
-    [1998, 2127, 2307],
-    [1997, 2126, 2306],
-    [1803, 1963, 2294, 2295, 1964],
-    [1964, 2115, 2295],
-    [1963, 2114, 2294],
-    [1818, 2115, 2127],
-    [1527, 1698, 1998, 2127, 1818],
-    [1817, 2114, 2126],
-    [1526, 1697, 1997, 2126, 1817],
-    [1698, 1834, 1998],
-    [1697, 1834, 1997],
-    [2308, 2309, 2402],
-    [2117, 2129, 2309, 2402, 2297],
-    [2116, 2128, 2308, 2402, 2296],
-    [2296, 2297, 2402],
-    [1835, 1999, 2308, 2309, 2000],
-    [2000, 2129, 2309],
-    [1999, 2128, 2308],
-    [1808, 1969, 2296, 2297, 1970],
-    [1970, 2117, 2297],
-    [1969, 2116, 2296],
-    [1820, 2117, 2129],
-    [1529, 1700, 2000, 2129, 1820],
-    [1819, 2116, 2128],
-    [1528, 1699, 1999, 2128, 1819],
-    [1700, 1835, 2000],
-    [1699, 1835, 1999],
-    [1989, 1990, 2202],
-    [1823, 1978, 2202, 1990],
-    [1821, 1977, 2202, 1989],
-    [1977, 1978, 2202],
-    [1689, 1690, 1990, 1989],
-    [1690, 1823, 1990],
-    [1689, 1821, 1989],
-    [1991, 1992, 2203],
-    [1828, 1980, 2203, 1992],
-    [1826, 1979, 2203, 1991],
-    [1979, 1980, 2203],
-    [1691, 1692, 1992, 1991],
-    [1692, 1828, 1992],
-    [1691, 1826, 1991],
-    [1993, 1994, 2204],
-    [1831, 1982, 2204, 1994],
-    [1829, 1981, 2204, 1993],
-    [1981, 1982, 2204],
-    [1693, 1694, 1994, 1993],
-    [1694, 1831, 1994],
-    [1693, 1829, 1993],
-    [1530, 1701, 2001, 2130, 1822],
-    [1695, 1701, 2001, 1995],
-    [1815, 1822, 2130, 2124],
-    [1995, 2001, 2130, 2124],
-    [1532, 1702, 2002, 2132, 1825],
-    [1696, 1702, 2002, 1996],
-    [1816, 1825, 2132, 2125],
-    [1996, 2002, 2132, 2125],
-    [1531, 1703, 2003, 2131, 1824],
-    [1697, 1703, 2003, 1997],
-    [1997, 2003, 2131, 2126],
-    [1817, 1824, 2131, 2126],
-    [1533, 1704, 2004, 2133, 1827],
-    [1698, 1704, 2004, 1998],
-    [1818, 1827, 2133, 2127],
-    [1998, 2004, 2133, 2127],
-    [1534, 1705, 2005, 2134, 1830],
-    [1699, 1705, 2005, 1999],
-    [1819, 1830, 2134, 2128],
-    [1999, 2005, 2134, 2128],
-    [1535, 1706, 2006, 2135, 1832],
-    [1700, 1706, 2006, 2000],
-    [1820, 1832, 2135, 2129],
-    [2000, 2006, 2135, 2129],
-    [2316, 2322, 2409],
-    [2136, 2142, 2322, 2409, 2310],
-    [2118, 2130, 2316, 2409, 2298],
-    [2298, 2310, 2409],
-    [1837, 2001, 2316, 2322, 2010],
-    [2010, 2142, 2322],
-    [2001, 2130, 2316],
-    [1821, 1983, 2298, 2310, 1989],
-    [1989, 2136, 2310],
-    [1983, 2118, 2298],
-    [1836, 2136, 2142],
-    [1542, 1710, 2010, 2142, 1836],
-    [1536, 1689, 1989, 2136, 1836],
-    [1822, 2118, 2130],
-    [1710, 1837, 2010],
-    [1701, 1837, 2001],
-    [2317, 2323, 2410],
-    [2137, 2143, 2323, 2410, 2311],
-    [2119, 2131, 2317, 2410, 2299],
-    [2299, 2311, 2410],
-    [1839, 2003, 2317, 2323, 2012],
-    [2012, 2143, 2323],
-    [2003, 2131, 2317],
-    [1823, 1984, 2299, 2311, 1990],
-    [1990, 2137, 2311],
-    [1984, 2119, 2299],
-    [1838, 2137, 2143],
-    [1543, 1712, 2012, 2143, 1838],
-    [1537, 1690, 1990, 2137, 1838],
-    [1824, 2119, 2131],
-    [1712, 1839, 2012],
-    [1703, 1839, 2003],
-    [2318, 2324, 2411],
-    [2138, 2144, 2324, 2411, 2312],
-    [2120, 2132, 2318, 2411, 2300],
-    [2300, 2312, 2411],
-    [1840, 2002, 2318, 2324, 2015],
-    [2015, 2144, 2324],
-    [2002, 2132, 2318],
-    [1826, 1985, 2300, 2312, 1991],
-    [1991, 2138, 2312],
-    [1985, 2120, 2300],
-    [1841, 2138, 2144],
-    [1544, 1715, 2015, 2144, 1841],
-    [1538, 1691, 1991, 2138, 1841],
-    [1825, 2120, 2132],
-    [1715, 1840, 2015],
-    [1702, 1840, 2002],
-    [2319, 2325, 2412],
-    [2140, 2146, 2325, 2412, 2314],
-    [2121, 2133, 2319, 2412, 2302],
-    [2302, 2314, 2412],
-    [1842, 2004, 2319, 2325, 2017],
-    [2017, 2146, 2325],
-    [2004, 2133, 2319],
-    [1829, 1987, 2302, 2314, 1993],
-    [1993, 2140, 2314],
-    [1987, 2121, 2302],
-    [1844, 2140, 2146],
-    [1546, 1717, 2017, 2146, 1844],
-    [1540, 1693, 1993, 2140, 1844],
-    [1827, 2121, 2133],
-    [1717, 1842, 2017],
-    [1704, 1842, 2004],
-    [2320, 2326, 2413],
-    [2139, 2145, 2326, 2413, 2313],
-    [2122, 2134, 2320, 2413, 2301],
-    [2301, 2313, 2413],
-    [1845, 2005, 2320, 2326, 2018],
-    [2018, 2145, 2326],
-    [2005, 2134, 2320],
-    [1828, 1986, 2301, 2313, 1992],
-    [1992, 2139, 2313],
-    [1986, 2122, 2301],
-    [1843, 2139, 2145],
-    [1545, 1718, 2018, 2145, 1843],
-    [1539, 1692, 1992, 2139, 1843],
-    [1830, 2122, 2134],
-    [1718, 1845, 2018],
-    [1705, 1845, 2005],
-    [2321, 2327, 2414],
-    [2141, 2147, 2327, 2414, 2315],
-    [2123, 2135, 2321, 2414, 2303],
-    [2303, 2315, 2414],
-    [1847, 2006, 2321, 2327, 2020],
-    [2020, 2147, 2327],
-    [2006, 2135, 2321],
-    [1831, 1988, 2303, 2315, 1994],
-    [1994, 2141, 2315],
-    [1988, 2123, 2303],
-    [1846, 2141, 2147],
-    [1547, 1720, 2020, 2147, 1846],
-    [1541, 1694, 1994, 2141, 1846],
-    [1832, 2123, 2135],
-    [1720, 1847, 2020],
-    [1706, 1847, 2006],
-    [1836, 1838, 2137, 2136],
-    [1989, 1990, 2137, 2136],
-    [1841, 1843, 2139, 2138],
-    [1991, 1992, 2139, 2138],
-    [1844, 1846, 2141, 2140],
-    [1993, 1994, 2141, 2140],
-    [2007, 2011, 2205],
-    [1837, 2001, 2205, 2011],
-    [1833, 1995, 2205, 2007],
-    [1995, 2001, 2205],
-    [1707, 1711, 2011, 2007],
-    [1711, 1837, 2011],
-    [1707, 1833, 2007],
-    [2007, 2013, 2206],
-    [1840, 2002, 2206, 2013],
-    [1833, 1996, 2206, 2007],
-    [1996, 2002, 2206],
-    [1707, 1713, 2013, 2007],
-    [1713, 1840, 2013],
-    [2008, 2014, 2207],
-    [1839, 2003, 2207, 2014],
-    [1834, 1997, 2207, 2008],
-    [1997, 2003, 2207],
-    [1708, 1714, 2014, 2008],
-    [1714, 1839, 2014],
-    [1708, 1834, 2008],
-    [2008, 2016, 2208],
-    [1842, 2004, 2208, 2016],
-    [1834, 1998, 2208, 2008],
-    [1998, 2004, 2208],
-    [1708, 1716, 2016, 2008],
-    [1716, 1842, 2016],
-    [2009, 2019, 2209],
-    [1845, 2005, 2209, 2019],
-    [1835, 1999, 2209, 2009],
-    [1999, 2005, 2209],
-    [1709, 1719, 2019, 2009],
-    [1719, 1845, 2019],
-    [1709, 1835, 2009],
-    [2009, 2021, 2210],
-    [1847, 2006, 2210, 2021],
-    [1835, 2000, 2210, 2009],
-    [2000, 2006, 2210],
-    [1709, 1721, 2021, 2009],
-    [1721, 1847, 2021],
-    [1710, 1722, 2022, 2010],
-    [1548, 1722, 2022, 2148, 1848],
-    [1836, 1848, 2148, 2142],
-    [2010, 2022, 2148, 2142],
-    [1712, 1724, 2024, 2012],
-    [1549, 1724, 2024, 2149, 1848],
-    [1838, 1848, 2149, 2143],
-    [2012, 2024, 2149, 2143],
-    [1711, 1723, 2023, 2011],
-    [1713, 1725, 2025, 2013],
-    [1723, 1725, 2025, 2023],
-    [2007, 2011, 2023, 2025, 2013],
-    [1714, 1726, 2026, 2014],
-    [1716, 1728, 2028, 2016],
-    [1726, 1728, 2028, 2026],
-    [2008, 2014, 2026, 2028, 2016],
-    [1715, 1727, 2027, 2015],
-    [1550, 1727, 2027, 2150, 1849],
-    [1841, 1849, 2150, 2144],
-    [2015, 2027, 2150, 2144],
-    [1718, 1730, 2030, 2018],
-    [1551, 1730, 2030, 2151, 1849],
-    [1843, 1849, 2151, 2145],
-    [2018, 2030, 2151, 2145],
-    [1717, 1729, 2029, 2017],
-    [1552, 1729, 2029, 2152, 1850],
-    [1844, 1850, 2152, 2146],
-    [2017, 2029, 2152, 2146],
-    [1720, 1732, 2032, 2020],
-    [1553, 1732, 2032, 2153, 1850],
-    [1846, 1850, 2153, 2147],
-    [2020, 2032, 2153, 2147],
-    [1721, 1733, 2033, 2021],
-    [1719, 1731, 2031, 2019],
-    [1731, 1733, 2033, 2031],
-    [2009, 2019, 2031, 2033, 2021],
-    [1851, 2022, 2211, 2023],
-    [2011, 2023, 2211],
-    [2010, 2022, 2211],
-    [1837, 2010, 2211, 2011],
-    [1723, 1851, 2023],
-    [1722, 1851, 2022],
-    [1852, 2024, 2212, 2026],
-    [2014, 2026, 2212],
-    [2012, 2024, 2212],
-    [1839, 2012, 2212, 2014],
-    [1726, 1852, 2026],
-    [1724, 1852, 2024],
-    [1853, 2025, 2213, 2027],
-    [2015, 2027, 2213],
-    [2013, 2025, 2213],
-    [1840, 2013, 2213, 2015],
-    [1727, 1853, 2027],
-    [1725, 1853, 2025],
-    [1854, 2028, 2214, 2029],
-    [2017, 2029, 2214],
-    [2016, 2028, 2214],
-    [1842, 2016, 2214, 2017],
-    [1729, 1854, 2029],
-    [1728, 1854, 2028],
-    [1855, 2030, 2215, 2031],
-    [2019, 2031, 2215],
-    [2018, 2030, 2215],
-    [1845, 2018, 2215, 2019],
-    [1731, 1855, 2031],
-    [1730, 1855, 2030],
-    [1856, 2032, 2216, 2033],
-    [2021, 2033, 2216],
-    [2020, 2032, 2216],
-    [1847, 2020, 2216, 2021],
-    [1733, 1856, 2033],
-    [1732, 1856, 2032],
-    [2034, 2035, 2217],
-    [1853, 2025, 2217, 2035],
-    [1851, 2023, 2217, 2034],
-    [2023, 2025, 2217],
-    [1734, 1735, 2035, 2034],
-    [1735, 1853, 2035],
-    [1734, 1851, 2034],
-    [2036, 2037, 2218],
-    [1854, 2028, 2218, 2037],
-    [1852, 2026, 2218, 2036],
-    [2026, 2028, 2218],
-    [1736, 1737, 2037, 2036],
-    [1737, 1854, 2037],
-    [1736, 1852, 2036],
-    [2038, 2039, 2219],
-    [1856, 2033, 2219, 2039],
-    [1855, 2031, 2219, 2038],
-    [2031, 2033, 2219],
-    [1738, 1739, 2039, 2038],
-    [1739, 1856, 2039],
-    [1738, 1855, 2038],
-    [2154, 2155, 2335, 2424, 2334],
-    [2329, 2335, 2424],
-    [2328, 2334, 2424],
-    [2148, 2149, 2329, 2424, 2328],
-    [1852, 2024, 2329, 2335, 2036],
-    [2036, 2155, 2335],
-    [1851, 2022, 2328, 2334, 2034],
-    [2034, 2154, 2334],
-    [2024, 2149, 2329],
-    [2022, 2148, 2328],
-    [1857, 2154, 2155],
-    [1555, 1736, 2036, 2155, 1857],
-    [1554, 1734, 2034, 2154, 1857],
-    [1848, 2148, 2149],
-    [2156, 2158, 2338, 2425, 2336],
-    [2331, 2338, 2425],
-    [2330, 2336, 2425],
-    [2150, 2151, 2331, 2425, 2330],
-    [1855, 2030, 2331, 2338, 2038],
-    [2038, 2158, 2338],
-    [1853, 2027, 2330, 2336, 2035],
-    [2035, 2156, 2336],
-    [2030, 2151, 2331],
-    [2027, 2150, 2330],
-    [1858, 2156, 2158],
-    [1558, 1738, 2038, 2158, 1858],
-    [1556, 1735, 2035, 2156, 1858],
-    [1849, 2150, 2151],
-    [2157, 2159, 2339, 2426, 2337],
-    [2333, 2339, 2426],
-    [2332, 2337, 2426],
-    [2152, 2153, 2333, 2426, 2332],
-    [1856, 2032, 2333, 2339, 2039],
-    [2039, 2159, 2339],
-    [1854, 2029, 2332, 2337, 2037],
-    [2037, 2157, 2337],
-    [2032, 2153, 2333],
-    [2029, 2152, 2332],
-    [1859, 2157, 2159],
-    [1559, 1739, 2039, 2159, 1859],
-    [1557, 1737, 2037, 2157, 1859],
-    [1850, 2152, 2153],
-    [1857, 1858, 2156, 2154],
-    [2034, 2035, 2156, 2154],
-    [1857, 1859, 2157, 2155],
-    [2036, 2037, 2157, 2155],
-    [1858, 1859, 2159, 2158],
-    [2038, 2039, 2159, 2158],
-    [2340, 2341, 2342],
-    [2044, 2045, 2342, 2341],
-    [2041, 2043, 2342, 2340],
-    [2043, 2045, 2342],
-    [2040, 2042, 2341, 2340],
-    [2042, 2044, 2341],
-    [2040, 2041, 2340],
-    [2346, 2347, 2352],
-    [2053, 2059, 2352, 2347],
-    [2052, 2058, 2352, 2346],
-    [2058, 2059, 2352],
-    [2046, 2047, 2347, 2346],
-    [2047, 2053, 2347],
-    [2046, 2052, 2346],
-    [2348, 2349, 2353],
-    [2055, 2061, 2353, 2349],
-    [2054, 2060, 2353, 2348],
-    [2060, 2061, 2353],
-    [2048, 2049, 2349, 2348],
-    [2049, 2055, 2349],
-    [2048, 2054, 2348],
-    [2350, 2351, 2354],
-    [2057, 2063, 2354, 2351],
-    [2056, 2062, 2354, 2350],
-    [2062, 2063, 2354],
-    [2050, 2051, 2351, 2350],
-    [2051, 2057, 2351],
-    [2050, 2056, 2350],
-    [2361, 2370, 2376],
-    [2088, 2094, 2376, 2370],
-    [2070, 2082, 2376, 2361],
-    [2082, 2094, 2376],
-    [2064, 2076, 2370, 2361],
-    [2076, 2088, 2370],
-    [2064, 2070, 2361],
-    [2362, 2371, 2377],
-    [2089, 2095, 2377, 2371],
-    [2071, 2083, 2377, 2362],
-    [2083, 2095, 2377],
-    [2065, 2077, 2371, 2362],
-    [2077, 2089, 2371],
-    [2065, 2071, 2362],
-    [2363, 2372, 2378],
-    [2090, 2096, 2378, 2372],
-    [2072, 2084, 2378, 2363],
-    [2084, 2096, 2378],
-    [2066, 2078, 2372, 2363],
-    [2078, 2090, 2372],
-    [2066, 2072, 2363],
-    [2365, 2373, 2380],
-    [2091, 2098, 2380, 2373],
-    [2074, 2086, 2380, 2365],
-    [2086, 2098, 2380],
-    [2067, 2079, 2373, 2365],
-    [2079, 2091, 2373],
-    [2067, 2074, 2365],
-    [2364, 2374, 2379],
-    [2092, 2097, 2379, 2374],
-    [2073, 2085, 2379, 2364],
-    [2085, 2097, 2379],
-    [2068, 2080, 2374, 2364],
-    [2080, 2092, 2374],
-    [2068, 2073, 2364],
-    [2366, 2375, 2381],
-    [2093, 2099, 2381, 2375],
-    [2075, 2087, 2381, 2366],
-    [2087, 2099, 2381],
-    [2069, 2081, 2375, 2366],
-    [2081, 2093, 2375],
-    [2069, 2075, 2366],
-    [2388, 2394, 2403],
-    [2118, 2130, 2403, 2394],
-    [2112, 2124, 2403, 2388],
-    [2124, 2130, 2403],
-    [2100, 2106, 2394, 2388],
-    [2106, 2118, 2394],
-    [2100, 2112, 2388],
-    [2390, 2395, 2405],
-    [2119, 2131, 2405, 2395],
-    [2114, 2126, 2405, 2390],
-    [2126, 2131, 2405],
-    [2102, 2107, 2395, 2390],
-    [2107, 2119, 2395],
-    [2102, 2114, 2390],
-    [2389, 2396, 2404],
-    [2120, 2132, 2404, 2396],
-    [2113, 2125, 2404, 2389],
-    [2125, 2132, 2404],
-    [2101, 2108, 2396, 2389],
-    [2108, 2120, 2396],
-    [2101, 2113, 2389],
-    [2391, 2397, 2406],
-    [2121, 2133, 2406, 2397],
-    [2115, 2127, 2406, 2391],
-    [2127, 2133, 2406],
-    [2103, 2109, 2397, 2391],
-    [2109, 2121, 2397],
-    [2103, 2115, 2391],
-    [2392, 2398, 2407],
-    [2122, 2134, 2407, 2398],
-    [2116, 2128, 2407, 2392],
-    [2128, 2134, 2407],
-    [2104, 2110, 2398, 2392],
-    [2110, 2122, 2398],
-    [2104, 2116, 2392],
-    [2393, 2399, 2408],
-    [2123, 2135, 2408, 2399],
-    [2117, 2129, 2408, 2393],
-    [2129, 2135, 2408],
-    [2105, 2111, 2399, 2393],
-    [2111, 2123, 2399],
-    [2105, 2117, 2393],
-    [2415, 2418, 2419],
-    [2148, 2149, 2419, 2418],
-    [2137, 2143, 2419, 2415],
-    [2143, 2149, 2419],
-    [2136, 2142, 2418, 2415],
-    [2142, 2148, 2418],
-    [2136, 2137, 2415],
-    [2416, 2420, 2421],
-    [2150, 2151, 2421, 2420],
-    [2139, 2145, 2421, 2416],
-    [2145, 2151, 2421],
-    [2138, 2144, 2420, 2416],
-    [2144, 2150, 2420],
-    [2138, 2139, 2416],
-    [2417, 2422, 2423],
-    [2152, 2153, 2423, 2422],
-    [2141, 2147, 2423, 2417],
-    [2147, 2153, 2423],
-    [2140, 2146, 2422, 2417],
-    [2146, 2152, 2422],
-    [2140, 2141, 2417],
-    [2427, 2428, 2429],
-    [2157, 2159, 2429, 2428],
-    [2156, 2158, 2429, 2427],
-    [2158, 2159, 2429],
-    [2154, 2155, 2428, 2427],
-    [2155, 2157, 2428],
-    [2154, 2156, 2427],
-    [1867, 2163, 2436, 2226],
-    [1860, 2160, 2430, 2220],
-    [1866, 2160, 2430, 2436, 2163],
-    [2220, 2226, 2436, 2430],
-    [1861, 2160, 2431, 2221],
-    [1869, 2164, 2437, 2228],
-    [1868, 2160, 2431, 2437, 2164],
-    [2221, 2228, 2437, 2431],
-    [1862, 2161, 2432, 2222],
-    [1870, 2165, 2438, 2227],
-    [1871, 2161, 2432, 2438, 2165],
-    [2222, 2227, 2438, 2432],
-    [1864, 2162, 2434, 2223],
-    [1872, 2166, 2439, 2229],
-    [2223, 2229, 2439, 2434],
-    [1874, 2162, 2434, 2439, 2166],
-    [1863, 2161, 2433, 2224],
-    [1873, 2161, 2433, 2440, 2167],
-    [2224, 2230, 2440, 2433],
-    [1875, 2167, 2440, 2230],
-    [1877, 2168, 2441, 2231],
-    [1876, 2162, 2435, 2441, 2168],
-    [1865, 2162, 2435, 2225],
-    [2225, 2231, 2441, 2435],
-    [1879, 2163, 2442, 2232],
-    [1893, 2169, 2448, 2238],
-    [1878, 2163, 2442, 2448, 2169],
-    [2232, 2238, 2448, 2442],
-    [1880, 2164, 2443, 2449, 2170],
-    [2233, 2239, 2449, 2443],
-    [1881, 2164, 2443, 2233],
-    [1894, 2170, 2449, 2239],
-    [1882, 2165, 2444, 2234],
-    [1895, 2171, 2450, 2240],
-    [1883, 2165, 2444, 2450, 2171],
-    [2234, 2240, 2450, 2444],
-    [1886, 2166, 2445, 2452, 2173],
-    [1897, 2173, 2452, 2241],
-    [1884, 2166, 2445, 2235],
-    [2235, 2241, 2452, 2445],
-    [1887, 2167, 2446, 2236],
-    [1896, 2172, 2451, 2242],
-    [2236, 2242, 2451, 2446],
-    [1885, 2167, 2446, 2451, 2172],
-    [1889, 2168, 2447, 2237],
-    [1898, 2174, 2453, 2243],
-    [1888, 2168, 2447, 2453, 2174],
-    [2237, 2243, 2453, 2447],
-    [1899, 2169, 2454, 2250],
-    [1900, 2170, 2455, 2251],
-    [1890, 2169, 2454, 2455, 2170],
-    [2250, 2251, 2455, 2454],
-    [1891, 2171, 2456, 2457, 2172],
-    [1902, 2172, 2457, 2253],
-    [1901, 2171, 2456, 2252],
-    [2252, 2253, 2457, 2456],
-    [1904, 2174, 2459, 2255],
-    [1903, 2173, 2458, 2254],
-    [1892, 2173, 2458, 2459, 2174],
-    [2254, 2255, 2459, 2458],
-    [1911, 2178, 2466, 2256],
-    [1905, 2175, 2460, 2244],
-    [1917, 2175, 2460, 2466, 2178],
-    [2244, 2256, 2466, 2460],
-    [1906, 2175, 2461, 2245],
-    [1912, 2179, 2467, 2257],
-    [1918, 2175, 2461, 2467, 2179],
-    [2245, 2257, 2467, 2461],
-    [1907, 2176, 2462, 2246],
-    [1913, 2180, 2468, 2258],
-    [1919, 2176, 2462, 2468, 2180],
-    [2246, 2258, 2468, 2462],
-    [1908, 2176, 2463, 2247],
-    [2247, 2259, 2469, 2463],
-    [1920, 2176, 2463, 2469, 2181],
-    [1914, 2181, 2469, 2259],
-    [1909, 2177, 2464, 2248],
-    [1915, 2182, 2470, 2260],
-    [1921, 2177, 2464, 2470, 2182],
-    [2248, 2260, 2470, 2464],
-    [1916, 2183, 2471, 2261],
-    [1910, 2177, 2465, 2249],
-    [1922, 2177, 2465, 2471, 2183],
-    [2249, 2261, 2471, 2465],
-    [1929, 2184, 2478, 2262],
-    [1930, 2185, 2479, 2263],
-    [2262, 2263, 2479, 2478],
-    [1950, 2184, 2478, 2479, 2185],
-    [1923, 2178, 2472, 2268],
-    [1931, 2178, 2472, 2484, 2186],
-    [2268, 2280, 2484, 2472],
-    [1951, 2186, 2484, 2280],
-    [1932, 2179, 2473, 2485, 2187],
-    [1952, 2187, 2485, 2281],
-    [1924, 2179, 2473, 2270],
-    [2270, 2281, 2485, 2473],
-    [1925, 2180, 2474, 2269],
-    [2269, 2282, 2486, 2474],
-    [1933, 2180, 2474, 2486, 2188],
-    [1953, 2188, 2486, 2282],
-    [1926, 2181, 2475, 2271],
-    [2271, 2283, 2487, 2475],
-    [1934, 2181, 2475, 2487, 2189],
-    [1954, 2189, 2487, 2283],
-    [1936, 2191, 2481, 2265],
-    [2264, 2265, 2481, 2480],
-    [1935, 2190, 2480, 2264],
-    [1955, 2190, 2480, 2481, 2191],
-    [1938, 2193, 2483, 2267],
-    [1937, 2192, 2482, 2266],
-    [2266, 2267, 2483, 2482],
-    [1956, 2192, 2482, 2483, 2193],
-    [1939, 2182, 2476, 2488, 2194],
-    [1927, 2182, 2476, 2272],
-    [1957, 2194, 2488, 2284],
-    [2272, 2284, 2488, 2476],
-    [1928, 2183, 2477, 2273],
-    [1940, 2183, 2477, 2489, 2195],
-    [1958, 2195, 2489, 2285],
-    [2273, 2285, 2489, 2477],
-    [1971, 2196, 2502, 2286],
-    [1959, 2184, 2490, 2502, 2196],
-    [1941, 2184, 2490, 2274],
-    [2274, 2286, 2502, 2490],
-    [1960, 2185, 2491, 2503, 2197],
-    [1972, 2197, 2503, 2287],
-    [1942, 2185, 2491, 2275],
-    [2275, 2287, 2503, 2491],
-    [1961, 2186, 2496, 2292],
-    [1962, 2187, 2497, 2293],
-    [2292, 2293, 2497, 2496],
-    [1943, 2186, 2496, 2497, 2187],
-    [1963, 2188, 2498, 2294],
-    [2294, 2295, 2499, 2498],
-    [1944, 2188, 2498, 2499, 2189],
-    [1964, 2189, 2499, 2295],
-    [1973, 2198, 2504, 2288],
-    [2276, 2288, 2504, 2492],
-    [1945, 2190, 2492, 2276],
-    [1965, 2190, 2492, 2504, 2198],
-    [1974, 2199, 2505, 2290],
-    [2277, 2290, 2505, 2493],
-    [1966, 2191, 2493, 2505, 2199],
-    [1946, 2191, 2493, 2277],
-    [1967, 2192, 2494, 2506, 2200],
-    [1947, 2192, 2494, 2278],
-    [1975, 2200, 2506, 2289],
-    [2278, 2289, 2506, 2494],
-    [1976, 2201, 2507, 2291],
-    [1968, 2193, 2495, 2507, 2201],
-    [2279, 2291, 2507, 2495],
-    [1948, 2193, 2495, 2279],
-    [1970, 2195, 2501, 2297],
-    [1969, 2194, 2500, 2296],
-    [2296, 2297, 2501, 2500],
-    [1949, 2194, 2500, 2501, 2195],
-    [1983, 2196, 2508, 2298],
-    [1989, 2202, 2514, 2310],
-    [1977, 2196, 2508, 2514, 2202],
-    [2298, 2310, 2514, 2508],
-    [1990, 2202, 2515, 2311],
-    [1984, 2197, 2509, 2299],
-    [1978, 2197, 2509, 2515, 2202],
-    [2299, 2311, 2515, 2509],
-    [1991, 2203, 2516, 2312],
-    [2300, 2312, 2516, 2510],
-    [1979, 2198, 2510, 2516, 2203],
-    [1985, 2198, 2510, 2300],
-    [1986, 2199, 2511, 2301],
-    [1992, 2203, 2517, 2313],
-    [1980, 2199, 2511, 2517, 2203],
-    [2301, 2313, 2517, 2511],
-    [1993, 2204, 2518, 2314],
-    [1987, 2200, 2512, 2302],
-    [1981, 2200, 2512, 2518, 2204],
-    [2302, 2314, 2518, 2512],
-    [1988, 2201, 2513, 2303],
-    [1994, 2204, 2519, 2315],
-    [1982, 2201, 2513, 2519, 2204],
-    [2303, 2315, 2519, 2513],
-    [1995, 2205, 2520, 2304],
-    [1996, 2206, 2521, 2305],
-    [2007, 2205, 2520, 2521, 2206],
-    [2304, 2305, 2521, 2520],
-    [2008, 2207, 2522, 2523, 2208],
-    [1997, 2207, 2522, 2306],
-    [1998, 2208, 2523, 2307],
-    [2306, 2307, 2523, 2522],
-    [2000, 2210, 2525, 2309],
-    [1999, 2209, 2524, 2308],
-    [2009, 2209, 2524, 2525, 2210],
-    [2308, 2309, 2525, 2524],
-    [2010, 2211, 2532, 2322],
-    [2001, 2205, 2526, 2316],
-    [2011, 2205, 2526, 2532, 2211],
-    [2316, 2322, 2532, 2526],
-    [2012, 2212, 2533, 2323],
-    [2003, 2207, 2528, 2317],
-    [2317, 2323, 2533, 2528],
-    [2014, 2207, 2528, 2533, 2212],
-    [2013, 2206, 2527, 2534, 2213],
-    [2002, 2206, 2527, 2318],
-    [2015, 2213, 2534, 2324],
-    [2318, 2324, 2534, 2527],
-    [2017, 2214, 2535, 2325],
-    [2004, 2208, 2529, 2319],
-    [2016, 2208, 2529, 2535, 2214],
-    [2319, 2325, 2535, 2529],
-    [2019, 2209, 2530, 2536, 2215],
-    [2320, 2326, 2536, 2530],
-    [2005, 2209, 2530, 2320],
-    [2018, 2215, 2536, 2326],
-    [2020, 2216, 2537, 2327],
-    [2006, 2210, 2531, 2321],
-    [2021, 2210, 2531, 2537, 2216],
-    [2321, 2327, 2537, 2531],
-    [2022, 2211, 2538, 2328],
-    [2023, 2211, 2538, 2544, 2217],
-    [2034, 2217, 2544, 2334],
-    [2328, 2334, 2544, 2538],
-    [2036, 2218, 2546, 2335],
-    [2026, 2212, 2539, 2546, 2218],
-    [2329, 2335, 2546, 2539],
-    [2024, 2212, 2539, 2329],
-    [2035, 2217, 2545, 2336],
-    [2027, 2213, 2540, 2330],
-    [2330, 2336, 2545, 2540],
-    [2025, 2213, 2540, 2545, 2217],
-    [2037, 2218, 2547, 2337],
-    [2029, 2214, 2541, 2332],
-    [2028, 2214, 2541, 2547, 2218],
-    [2332, 2337, 2547, 2541],
-    [2038, 2219, 2548, 2338],
-    [2030, 2215, 2542, 2331],
-    [2031, 2215, 2542, 2548, 2219],
-    [2331, 2338, 2548, 2542],
-    [2032, 2216, 2543, 2333],
-    [2039, 2219, 2549, 2339],
-    [2033, 2216, 2543, 2549, 2219],
-    [2333, 2339, 2549, 2543],
-    [2430, 2431, 2551, 2550],
-    [2340, 2550, 2551],
-    [2221, 2431, 2551],
-    [2041, 2221, 2551, 2340],
-    [2220, 2430, 2550],
-    [2040, 2220, 2550, 2340],
-    [2160, 2430, 2431],
-    [2432, 2433, 2554, 2552],
-    [2341, 2552, 2554],
-    [2224, 2433, 2554],
-    [2044, 2224, 2554, 2341],
-    [2222, 2432, 2552],
-    [2042, 2222, 2552, 2341],
-    [2161, 2432, 2433],
-    [2434, 2435, 2555, 2553],
-    [2342, 2553, 2555],
-    [2225, 2435, 2555],
-    [2045, 2225, 2555, 2342],
-    [2223, 2434, 2553],
-    [2043, 2223, 2553, 2342],
-    [2162, 2434, 2435],
-    [2436, 2442, 2562, 2556],
-    [2346, 2556, 2562],
-    [2232, 2442, 2562],
-    [2052, 2232, 2562, 2346],
-    [2226, 2436, 2556],
-    [2046, 2226, 2556, 2346],
-    [2163, 2436, 2442],
-    [2437, 2443, 2564, 2558],
-    [2348, 2558, 2564],
-    [2233, 2443, 2564],
-    [2054, 2233, 2564, 2348],
-    [2228, 2437, 2558],
-    [2048, 2228, 2558, 2348],
-    [2164, 2437, 2443],
-    [2438, 2444, 2563, 2557],
-    [2347, 2557, 2563],
-    [2234, 2444, 2563],
-    [2053, 2234, 2563, 2347],
-    [2227, 2438, 2557],
-    [2047, 2227, 2557, 2347],
-    [2165, 2438, 2444],
-    [2439, 2445, 2565, 2559],
-    [2349, 2559, 2565],
-    [2235, 2445, 2565],
-    [2055, 2235, 2565, 2349],
-    [2229, 2439, 2559],
-    [2049, 2229, 2559, 2349],
-    [2166, 2439, 2445],
-    [2440, 2446, 2566, 2560],
-    [2350, 2560, 2566],
-    [2236, 2446, 2566],
-    [2056, 2236, 2566, 2350],
-    [2230, 2440, 2560],
-    [2050, 2230, 2560, 2350],
-    [2167, 2440, 2446],
-    [2441, 2447, 2567, 2561],
-    [2351, 2561, 2567],
-    [2237, 2447, 2567],
-    [2057, 2237, 2567, 2351],
-    [2231, 2441, 2561],
-    [2051, 2231, 2561, 2351],
-    [2168, 2441, 2447],
-    [2448, 2454, 2580, 2574],
-    [2361, 2574, 2580],
-    [2250, 2454, 2580],
-    [2070, 2250, 2580, 2361],
-    [2238, 2448, 2574],
-    [2064, 2238, 2574, 2361],
-    [2169, 2448, 2454],
-    [2449, 2455, 2581, 2575],
-    [2362, 2575, 2581],
-    [2251, 2455, 2581],
-    [2071, 2251, 2581, 2362],
-    [2239, 2449, 2575],
-    [2065, 2239, 2575, 2362],
-    [2170, 2449, 2455],
-    [2460, 2461, 2569, 2568],
-    [2352, 2568, 2569],
-    [2245, 2461, 2569],
-    [2059, 2245, 2569, 2352],
-    [2244, 2460, 2568],
-    [2058, 2244, 2568, 2352],
-    [2175, 2460, 2461],
-    [2462, 2463, 2571, 2570],
-    [2353, 2570, 2571],
-    [2247, 2463, 2571],
-    [2061, 2247, 2571, 2353],
-    [2246, 2462, 2570],
-    [2060, 2246, 2570, 2353],
-    [2176, 2462, 2463],
-    [2450, 2456, 2582, 2576],
-    [2363, 2576, 2582],
-    [2252, 2456, 2582],
-    [2072, 2252, 2582, 2363],
-    [2240, 2450, 2576],
-    [2066, 2240, 2576, 2363],
-    [2171, 2450, 2456],
-    [2451, 2457, 2583, 2578],
-    [2364, 2578, 2583],
-    [2253, 2457, 2583],
-    [2073, 2253, 2583, 2364],
-    [2242, 2451, 2578],
-    [2068, 2242, 2578, 2364],
-    [2172, 2451, 2457],
-    [2452, 2458, 2584, 2577],
-    [2365, 2577, 2584],
-    [2254, 2458, 2584],
-    [2074, 2254, 2584, 2365],
-    [2241, 2452, 2577],
-    [2067, 2241, 2577, 2365],
-    [2173, 2452, 2458],
-    [2453, 2459, 2585, 2579],
-    [2366, 2579, 2585],
-    [2255, 2459, 2585],
-    [2075, 2255, 2585, 2366],
-    [2243, 2453, 2579],
-    [2069, 2243, 2579, 2366],
-    [2174, 2453, 2459],
-    [2464, 2465, 2573, 2572],
-    [2354, 2572, 2573],
-    [2249, 2465, 2573],
-    [2063, 2249, 2573, 2354],
-    [2248, 2464, 2572],
-    [2062, 2248, 2572, 2354],
-    [2177, 2464, 2465],
-    [2466, 2472, 2593, 2586],
-    [2370, 2586, 2593],
-    [2268, 2472, 2593],
-    [2088, 2268, 2593, 2370],
-    [2256, 2466, 2586],
-    [2076, 2256, 2586, 2370],
-    [2178, 2466, 2472],
-    [2468, 2474, 2595, 2587],
-    [2371, 2587, 2595],
-    [2269, 2474, 2595],
-    [2089, 2269, 2595, 2371],
-    [2258, 2468, 2587],
-    [2077, 2258, 2587, 2371],
-    [2180, 2468, 2474],
-    [2467, 2473, 2596, 2588],
-    [2372, 2588, 2596],
-    [2270, 2473, 2596],
-    [2090, 2270, 2596, 2372],
-    [2257, 2467, 2588],
-    [2078, 2257, 2588, 2372],
-    [2179, 2467, 2473],
-    [2469, 2475, 2598, 2589],
-    [2373, 2589, 2598],
-    [2271, 2475, 2598],
-    [2091, 2271, 2598, 2373],
-    [2259, 2469, 2589],
-    [2079, 2259, 2589, 2373],
-    [2181, 2469, 2475],
-    [2470, 2476, 2601, 2590],
-    [2374, 2590, 2601],
-    [2272, 2476, 2601],
-    [2092, 2272, 2601, 2374],
-    [2260, 2470, 2590],
-    [2080, 2260, 2590, 2374],
-    [2182, 2470, 2476],
-    [2471, 2477, 2603, 2591],
-    [2375, 2591, 2603],
-    [2273, 2477, 2603],
-    [2093, 2273, 2603, 2375],
-    [2261, 2471, 2591],
-    [2081, 2261, 2591, 2375],
-    [2183, 2471, 2477],
-    [2478, 2490, 2604, 2592],
-    [2376, 2592, 2604],
-    [2274, 2490, 2604],
-    [2094, 2274, 2604, 2376],
-    [2262, 2478, 2592],
-    [2082, 2262, 2592, 2376],
-    [2184, 2478, 2490],
-    [2479, 2491, 2605, 2594],
-    [2377, 2594, 2605],
-    [2275, 2491, 2605],
-    [2095, 2275, 2605, 2377],
-    [2263, 2479, 2594],
-    [2083, 2263, 2594, 2377],
-    [2185, 2479, 2491],
-    [2480, 2492, 2606, 2597],
-    [2378, 2597, 2606],
-    [2276, 2492, 2606],
-    [2096, 2276, 2606, 2378],
-    [2264, 2480, 2597],
-    [2084, 2264, 2597, 2378],
-    [2190, 2480, 2492],
-    [2481, 2493, 2607, 2599],
-    [2379, 2599, 2607],
-    [2277, 2493, 2607],
-    [2097, 2277, 2607, 2379],
-    [2265, 2481, 2599],
-    [2085, 2265, 2599, 2379],
-    [2191, 2481, 2493],
-    [2482, 2494, 2608, 2600],
-    [2380, 2600, 2608],
-    [2278, 2494, 2608],
-    [2098, 2278, 2608, 2380],
-    [2266, 2482, 2600],
-    [2086, 2266, 2600, 2380],
-    [2192, 2482, 2494],
-    [2483, 2495, 2609, 2602],
-    [2381, 2602, 2609],
-    [2279, 2495, 2609],
-    [2099, 2279, 2609, 2381],
-    [2267, 2483, 2602],
-    [2087, 2267, 2602, 2381],
-    [2193, 2483, 2495],
-    [2484, 2496, 2617, 2610],
-    [2388, 2610, 2617],
-    [2292, 2496, 2617],
-    [2112, 2292, 2617, 2388],
-    [2280, 2484, 2610],
-    [2100, 2280, 2610, 2388],
-    [2186, 2484, 2496],
-    [2485, 2497, 2619, 2611],
-    [2389, 2611, 2619],
-    [2293, 2497, 2619],
-    [2113, 2293, 2619, 2389],
-    [2281, 2485, 2611],
-    [2101, 2281, 2611, 2389],
-    [2187, 2485, 2497],
-    [2486, 2498, 2620, 2612],
-    [2390, 2612, 2620],
-    [2294, 2498, 2620],
-    [2114, 2294, 2620, 2390],
-    [2282, 2486, 2612],
-    [2102, 2282, 2612, 2390],
-    [2188, 2486, 2498],
-    [2487, 2499, 2622, 2613],
-    [2391, 2613, 2622],
-    [2295, 2499, 2622],
-    [2115, 2295, 2622, 2391],
-    [2283, 2487, 2613],
-    [2103, 2283, 2613, 2391],
-    [2189, 2487, 2499],
-    [2488, 2500, 2625, 2614],
-    [2392, 2614, 2625],
-    [2296, 2500, 2625],
-    [2116, 2296, 2625, 2392],
-    [2284, 2488, 2614],
-    [2104, 2284, 2614, 2392],
-    [2194, 2488, 2500],
-    [2489, 2501, 2627, 2615],
-    [2393, 2615, 2627],
-    [2297, 2501, 2627],
-    [2117, 2297, 2627, 2393],
-    [2285, 2489, 2615],
-    [2105, 2285, 2615, 2393],
-    [2195, 2489, 2501],
-    [2502, 2508, 2628, 2616],
-    [2394, 2616, 2628],
-    [2298, 2508, 2628],
-    [2118, 2298, 2628, 2394],
-    [2286, 2502, 2616],
-    [2106, 2286, 2616, 2394],
-    [2196, 2502, 2508],
-    [2503, 2509, 2629, 2618],
-    [2395, 2618, 2629],
-    [2299, 2509, 2629],
-    [2119, 2299, 2629, 2395],
-    [2287, 2503, 2618],
-    [2107, 2287, 2618, 2395],
-    [2197, 2503, 2509],
-    [2504, 2510, 2630, 2621],
-    [2396, 2621, 2630],
-    [2300, 2510, 2630],
-    [2120, 2300, 2630, 2396],
-    [2288, 2504, 2621],
-    [2108, 2288, 2621, 2396],
-    [2198, 2504, 2510],
-    [2506, 2512, 2631, 2623],
-    [2397, 2623, 2631],
-    [2302, 2512, 2631],
-    [2121, 2302, 2631, 2397],
-    [2289, 2506, 2623],
-    [2109, 2289, 2623, 2397],
-    [2200, 2506, 2512],
-    [2505, 2511, 2632, 2624],
-    [2398, 2624, 2632],
-    [2301, 2511, 2632],
-    [2122, 2301, 2632, 2398],
-    [2290, 2505, 2624],
-    [2110, 2290, 2624, 2398],
-    [2199, 2505, 2511],
-    [2507, 2513, 2633, 2626],
-    [2399, 2626, 2633],
-    [2303, 2513, 2633],
-    [2123, 2303, 2633, 2399],
-    [2291, 2507, 2626],
-    [2111, 2291, 2626, 2399],
-    [2201, 2507, 2513],
-    [2514, 2515, 2647, 2646],
-    [2415, 2646, 2647],
-    [2311, 2515, 2647],
-    [2137, 2311, 2647, 2415],
-    [2310, 2514, 2646],
-    [2136, 2310, 2646, 2415],
-    [2202, 2514, 2515],
-    [2520, 2526, 2640, 2634],
-    [2403, 2634, 2640],
-    [2316, 2526, 2640],
-    [2130, 2316, 2640, 2403],
-    [2304, 2520, 2634],
-    [2124, 2304, 2634, 2403],
-    [2205, 2520, 2526],
-    [2521, 2527, 2642, 2635],
-    [2404, 2635, 2642],
-    [2318, 2527, 2642],
-    [2132, 2318, 2642, 2404],
-    [2305, 2521, 2635],
-    [2125, 2305, 2635, 2404],
-    [2206, 2521, 2527],
-    [2522, 2528, 2641, 2636],
-    [2405, 2636, 2641],
-    [2317, 2528, 2641],
-    [2131, 2317, 2641, 2405],
-    [2306, 2522, 2636],
-    [2126, 2306, 2636, 2405],
-    [2207, 2522, 2528],
-    [2523, 2529, 2643, 2637],
-    [2406, 2637, 2643],
-    [2319, 2529, 2643],
-    [2133, 2319, 2643, 2406],
-    [2307, 2523, 2637],
-    [2127, 2307, 2637, 2406],
-    [2208, 2523, 2529],
-    [2516, 2517, 2649, 2648],
-    [2416, 2648, 2649],
-    [2313, 2517, 2649],
-    [2139, 2313, 2649, 2416],
-    [2312, 2516, 2648],
-    [2138, 2312, 2648, 2416],
-    [2203, 2516, 2517],
-    [2518, 2519, 2651, 2650],
-    [2417, 2650, 2651],
-    [2315, 2519, 2651],
-    [2141, 2315, 2651, 2417],
-    [2314, 2518, 2650],
-    [2140, 2314, 2650, 2417],
-    [2204, 2518, 2519],
-    [2524, 2530, 2644, 2638],
-    [2407, 2638, 2644],
-    [2320, 2530, 2644],
-    [2134, 2320, 2644, 2407],
-    [2308, 2524, 2638],
-    [2128, 2308, 2638, 2407],
-    [2209, 2524, 2530],
-    [2525, 2531, 2645, 2639],
-    [2408, 2639, 2645],
-    [2321, 2531, 2645],
-    [2135, 2321, 2645, 2408],
-    [2309, 2525, 2639],
-    [2129, 2309, 2639, 2408],
-    [2210, 2525, 2531],
-    [2532, 2538, 2658, 2652],
-    [2418, 2652, 2658],
-    [2328, 2538, 2658],
-    [2148, 2328, 2658, 2418],
-    [2322, 2532, 2652],
-    [2142, 2322, 2652, 2418],
-    [2211, 2532, 2538],
-    [2533, 2539, 2659, 2653],
-    [2419, 2653, 2659],
-    [2329, 2539, 2659],
-    [2149, 2329, 2659, 2419],
-    [2323, 2533, 2653],
-    [2143, 2323, 2653, 2419],
-    [2212, 2533, 2539],
-    [2534, 2540, 2660, 2654],
-    [2420, 2654, 2660],
-    [2330, 2540, 2660],
-    [2150, 2330, 2660, 2420],
-    [2324, 2534, 2654],
-    [2144, 2324, 2654, 2420],
-    [2213, 2534, 2540],
-    [2535, 2541, 2662, 2656],
-    [2422, 2656, 2662],
-    [2332, 2541, 2662],
-    [2152, 2332, 2662, 2422],
-    [2325, 2535, 2656],
-    [2146, 2325, 2656, 2422],
-    [2214, 2535, 2541],
-    [2536, 2542, 2661, 2655],
-    [2421, 2655, 2661],
-    [2331, 2542, 2661],
-    [2151, 2331, 2661, 2421],
-    [2326, 2536, 2655],
-    [2145, 2326, 2655, 2421],
-    [2215, 2536, 2542],
-    [2537, 2543, 2663, 2657],
-    [2423, 2657, 2663],
-    [2333, 2543, 2663],
-    [2153, 2333, 2663, 2423],
-    [2327, 2537, 2657],
-    [2147, 2327, 2657, 2423],
-    [2216, 2537, 2543],
-    [2544, 2545, 2666, 2664],
-    [2427, 2664, 2666],
-    [2336, 2545, 2666],
-    [2156, 2336, 2666, 2427],
-    [2334, 2544, 2664],
-    [2154, 2334, 2664, 2427],
-    [2217, 2544, 2545],
-    [2546, 2547, 2667, 2665],
-    [2428, 2665, 2667],
-    [2337, 2547, 2667],
-    [2157, 2337, 2667, 2428],
-    [2335, 2546, 2665],
-    [2155, 2335, 2665, 2428],
-    [2218, 2546, 2547],
-    [2548, 2549, 2669, 2668],
-    [2429, 2668, 2669],
-    [2339, 2549, 2669],
-    [2159, 2339, 2669, 2429],
-    [2338, 2548, 2668],
-    [2158, 2338, 2668, 2429],
-    [2219, 2548, 2549],
-    [2222, 2343, 2670, 2552],
-    [2340, 2341, 2552, 2670, 2550],
-    [2220, 2343, 2670, 2550],
-    [2223, 2344, 2671, 2553],
-    [2221, 2344, 2671, 2551],
-    [2340, 2342, 2553, 2671, 2551],
-    [2224, 2345, 2672, 2554],
-    [2225, 2345, 2672, 2555],
-    [2341, 2342, 2555, 2672, 2554],
-    [2226, 2343, 2673, 2556],
-    [2346, 2347, 2557, 2673, 2556],
-    [2227, 2343, 2673, 2557],
-    [2228, 2344, 2674, 2558],
-    [2229, 2344, 2674, 2559],
-    [2348, 2349, 2559, 2674, 2558],
-    [2231, 2345, 2675, 2561],
-    [2230, 2345, 2675, 2560],
-    [2350, 2351, 2561, 2675, 2560],
-    [2232, 2355, 2676, 2562],
-    [2346, 2352, 2568, 2676, 2562],
-    [2244, 2355, 2676, 2568],
-    [2234, 2357, 2677, 2563],
-    [2245, 2357, 2677, 2569],
-    [2347, 2352, 2569, 2677, 2563],
-    [2233, 2356, 2678, 2564],
-    [2246, 2356, 2678, 2570],
-    [2348, 2353, 2570, 2678, 2564],
-    [2247, 2358, 2679, 2571],
-    [2235, 2358, 2679, 2565],
-    [2349, 2353, 2571, 2679, 2565],
-    [2236, 2359, 2680, 2566],
-    [2248, 2359, 2680, 2572],
-    [2350, 2354, 2572, 2680, 2566],
-    [2237, 2360, 2681, 2567],
-    [2351, 2354, 2573, 2681, 2567],
-    [2249, 2360, 2681, 2573],
-    [2256, 2355, 2682, 2586],
-    [2361, 2370, 2586, 2682, 2574],
-    [2238, 2355, 2682, 2574],
-    [2239, 2356, 2683, 2575],
-    [2258, 2356, 2683, 2587],
-    [2362, 2371, 2587, 2683, 2575],
-    [2240, 2357, 2684, 2576],
-    [2257, 2357, 2684, 2588],
-    [2363, 2372, 2588, 2684, 2576],
-    [2241, 2358, 2685, 2577],
-    [2365, 2373, 2589, 2685, 2577],
-    [2259, 2358, 2685, 2589],
-    [2260, 2359, 2686, 2590],
-    [2242, 2359, 2686, 2578],
-    [2364, 2374, 2590, 2686, 2578],
-    [2261, 2360, 2687, 2591],
-    [2366, 2375, 2591, 2687, 2579],
-    [2243, 2360, 2687, 2579],
-    [2262, 2367, 2688, 2592],
-    [2250, 2367, 2688, 2580],
-    [2361, 2376, 2592, 2688, 2580],
-    [2251, 2367, 2689, 2581],
-    [2263, 2367, 2689, 2594],
-    [2362, 2377, 2594, 2689, 2581],
-    [2252, 2368, 2690, 2582],
-    [2363, 2378, 2597, 2690, 2582],
-    [2264, 2368, 2690, 2597],
-    [2253, 2368, 2691, 2583],
-    [2364, 2379, 2599, 2691, 2583],
-    [2265, 2368, 2691, 2599],
-    [2254, 2369, 2692, 2584],
-    [2266, 2369, 2692, 2600],
-    [2365, 2380, 2600, 2692, 2584],
-    [2267, 2369, 2693, 2602],
-    [2255, 2369, 2693, 2585],
-    [2366, 2381, 2602, 2693, 2585],
-    [2268, 2382, 2694, 2593],
-    [2274, 2382, 2694, 2604],
-    [2370, 2376, 2604, 2694, 2593],
-    [2269, 2383, 2695, 2595],
-    [2275, 2383, 2695, 2605],
-    [2371, 2377, 2605, 2695, 2595],
-    [2270, 2384, 2696, 2596],
-    [2372, 2378, 2606, 2696, 2596],
-    [2276, 2384, 2696, 2606],
-    [2373, 2380, 2608, 2697, 2598],
-    [2278, 2385, 2697, 2608],
-    [2271, 2385, 2697, 2598],
-    [2272, 2386, 2698, 2601],
-    [2374, 2379, 2607, 2698, 2601],
-    [2277, 2386, 2698, 2607],
-    [2273, 2387, 2699, 2603],
-    [2279, 2387, 2699, 2609],
-    [2375, 2381, 2609, 2699, 2603],
-    [2286, 2382, 2700, 2616],
-    [2280, 2382, 2700, 2610],
-    [2388, 2394, 2616, 2700, 2610],
-    [2287, 2383, 2701, 2618],
-    [2390, 2395, 2618, 2701, 2612],
-    [2282, 2383, 2701, 2612],
-    [2281, 2384, 2702, 2611],
-    [2389, 2396, 2621, 2702, 2611],
-    [2288, 2384, 2702, 2621],
-    [2289, 2385, 2703, 2623],
-    [2391, 2397, 2623, 2703, 2613],
-    [2283, 2385, 2703, 2613],
-    [2290, 2386, 2704, 2624],
-    [2284, 2386, 2704, 2614],
-    [2392, 2398, 2624, 2704, 2614],
-    [2291, 2387, 2705, 2626],
-    [2285, 2387, 2705, 2615],
-    [2393, 2399, 2626, 2705, 2615],
-    [2292, 2400, 2706, 2617],
-    [2304, 2400, 2706, 2634],
-    [2388, 2403, 2634, 2706, 2617],
-    [2305, 2400, 2707, 2635],
-    [2293, 2400, 2707, 2619],
-    [2389, 2404, 2635, 2707, 2619],
-    [2390, 2405, 2636, 2708, 2620],
-    [2306, 2401, 2708, 2636],
-    [2294, 2401, 2708, 2620],
-    [2307, 2401, 2709, 2637],
-    [2391, 2406, 2637, 2709, 2622],
-    [2295, 2401, 2709, 2622],
-    [2308, 2402, 2710, 2638],
-    [2296, 2402, 2710, 2625],
-    [2392, 2407, 2638, 2710, 2625],
-    [2297, 2402, 2711, 2627],
-    [2309, 2402, 2711, 2639],
-    [2393, 2408, 2639, 2711, 2627],
-    [2298, 2409, 2712, 2628],
-    [2394, 2403, 2640, 2712, 2628],
-    [2316, 2409, 2712, 2640],
-    [2299, 2410, 2713, 2629],
-    [2317, 2410, 2713, 2641],
-    [2395, 2405, 2641, 2713, 2629],
-    [2318, 2411, 2714, 2642],
-    [2396, 2404, 2642, 2714, 2630],
-    [2300, 2411, 2714, 2630],
-    [2302, 2412, 2715, 2631],
-    [2319, 2412, 2715, 2643],
-    [2397, 2406, 2643, 2715, 2631],
-    [2320, 2413, 2716, 2644],
-    [2301, 2413, 2716, 2632],
-    [2398, 2407, 2644, 2716, 2632],
-    [2303, 2414, 2717, 2633],
-    [2399, 2408, 2645, 2717, 2633],
-    [2321, 2414, 2717, 2645],
-    [2322, 2409, 2718, 2652],
-    [2415, 2418, 2652, 2718, 2646],
-    [2310, 2409, 2718, 2646],
-    [2323, 2410, 2719, 2653],
-    [2311, 2410, 2719, 2647],
-    [2415, 2419, 2653, 2719, 2647],
-    [2312, 2411, 2720, 2648],
-    [2324, 2411, 2720, 2654],
-    [2416, 2420, 2654, 2720, 2648],
-    [2326, 2413, 2721, 2655],
-    [2313, 2413, 2721, 2649],
-    [2416, 2421, 2655, 2721, 2649],
-    [2314, 2412, 2722, 2650],
-    [2325, 2412, 2722, 2656],
-    [2417, 2422, 2656, 2722, 2650],
-    [2327, 2414, 2723, 2657],
-    [2417, 2423, 2657, 2723, 2651],
-    [2315, 2414, 2723, 2651],
-    [2328, 2424, 2724, 2658],
-    [2329, 2424, 2724, 2659],
-    [2418, 2419, 2659, 2724, 2658],
-    [2331, 2425, 2725, 2661],
-    [2330, 2425, 2725, 2660],
-    [2420, 2421, 2661, 2725, 2660],
-    [2333, 2426, 2726, 2663],
-    [2422, 2423, 2663, 2726, 2662],
-    [2332, 2426, 2726, 2662],
-    [2335, 2424, 2727, 2665],
-    [2334, 2424, 2727, 2664],
-    [2427, 2428, 2665, 2727, 2664],
-    [2336, 2425, 2728, 2666],
-    [2338, 2425, 2728, 2668],
-    [2427, 2429, 2668, 2728, 2666],
-    [2337, 2426, 2729, 2667],
-    [2428, 2429, 2669, 2729, 2667],
-    [2339, 2426, 2729, 2669],
-    [2910, 2913, 2919, 2920, 2914],
-    [2742, 2919, 2920],
-    [2737, 2914, 2920],
-    [2449, 2455, 2742, 2920, 2737],
-    [2736, 2913, 2919],
-    [2448, 2454, 2742, 2919, 2736],
-    [2731, 2910, 2914],
-    [2437, 2443, 2737, 2914, 2731],
-    [2730, 2910, 2913],
-    [2436, 2442, 2736, 2913, 2730],
-    [2430, 2431, 2731, 2910, 2730],
-    [2454, 2455, 2742],
-    [2443, 2449, 2737],
-    [2442, 2448, 2736],
-    [2431, 2437, 2731],
-    [2430, 2436, 2730],
-    [2911, 2915, 2921, 2922, 2916],
-    [2743, 2921, 2922],
-    [2739, 2916, 2922],
-    [2451, 2457, 2743, 2922, 2739],
-    [2738, 2915, 2921],
-    [2450, 2456, 2743, 2921, 2738],
-    [2733, 2911, 2916],
-    [2440, 2446, 2739, 2916, 2733],
-    [2732, 2911, 2915],
-    [2438, 2444, 2738, 2915, 2732],
-    [2432, 2433, 2733, 2911, 2732],
-    [2456, 2457, 2743],
-    [2446, 2451, 2739],
-    [2444, 2450, 2738],
-    [2433, 2440, 2733],
-    [2432, 2438, 2732],
-    [2912, 2917, 2923, 2924, 2918],
-    [2744, 2923, 2924],
-    [2741, 2918, 2924],
-    [2453, 2459, 2744, 2924, 2741],
-    [2740, 2917, 2923],
-    [2452, 2458, 2744, 2923, 2740],
-    [2735, 2912, 2918],
-    [2441, 2447, 2741, 2918, 2735],
-    [2734, 2912, 2917],
-    [2439, 2445, 2740, 2917, 2734],
-    [2434, 2435, 2735, 2912, 2734],
-    [2458, 2459, 2744],
-    [2447, 2453, 2741],
-    [2445, 2452, 2740],
-    [2435, 2441, 2735],
-    [2434, 2439, 2734],
-    [2925, 2928, 2934, 2935, 2929],
-    [2760, 2934, 2935],
-    [2752, 2929, 2935],
-    [2485, 2497, 2760, 2935, 2752],
-    [2751, 2928, 2934],
-    [2484, 2496, 2760, 2934, 2751],
-    [2746, 2925, 2929],
-    [2467, 2473, 2752, 2929, 2746],
-    [2745, 2925, 2928],
-    [2466, 2472, 2751, 2928, 2745],
-    [2460, 2461, 2746, 2925, 2745],
-    [2496, 2497, 2760],
-    [2473, 2485, 2752],
-    [2472, 2484, 2751],
-    [2461, 2467, 2746],
-    [2460, 2466, 2745],
-    [2926, 2930, 2936, 2937, 2931],
-    [2761, 2936, 2937],
-    [2754, 2931, 2937],
-    [2487, 2499, 2761, 2937, 2754],
-    [2753, 2930, 2936],
-    [2486, 2498, 2761, 2936, 2753],
-    [2748, 2926, 2931],
-    [2469, 2475, 2754, 2931, 2748],
-    [2747, 2926, 2930],
-    [2468, 2474, 2753, 2930, 2747],
-    [2462, 2463, 2748, 2926, 2747],
-    [2498, 2499, 2761],
-    [2475, 2487, 2754],
-    [2474, 2486, 2753],
-    [2463, 2469, 2748],
-    [2462, 2468, 2747],
-    [2927, 2932, 2938, 2939, 2933],
-    [2762, 2938, 2939],
-    [2756, 2933, 2939],
-    [2489, 2501, 2762, 2939, 2756],
-    [2755, 2932, 2938],
-    [2488, 2500, 2762, 2938, 2755],
-    [2750, 2927, 2933],
-    [2471, 2477, 2756, 2933, 2750],
-    [2749, 2927, 2932],
-    [2470, 2476, 2755, 2932, 2749],
-    [2464, 2465, 2750, 2927, 2749],
-    [2500, 2501, 2762],
-    [2477, 2489, 2756],
-    [2476, 2488, 2755],
-    [2465, 2471, 2750],
-    [2464, 2470, 2749],
-    [2940, 2941, 2947, 2952, 2946],
-    [2770, 2947, 2952],
-    [2769, 2946, 2952],
-    [2514, 2515, 2770, 2952, 2769],
-    [2764, 2941, 2947],
-    [2503, 2509, 2770, 2947, 2764],
-    [2763, 2940, 2946],
-    [2502, 2508, 2769, 2946, 2763],
-    [2757, 2940, 2941],
-    [2479, 2491, 2764, 2941, 2757],
-    [2478, 2490, 2763, 2940, 2757],
-    [2509, 2515, 2770],
-    [2508, 2514, 2769],
-    [2491, 2503, 2764],
-    [2490, 2502, 2763],
-    [2478, 2479, 2757],
-    [2942, 2943, 2949, 2953, 2948],
-    [2772, 2949, 2953],
-    [2771, 2948, 2953],
-    [2516, 2517, 2772, 2953, 2771],
-    [2766, 2943, 2949],
-    [2505, 2511, 2772, 2949, 2766],
-    [2765, 2942, 2948],
-    [2504, 2510, 2771, 2948, 2765],
-    [2758, 2942, 2943],
-    [2481, 2493, 2766, 2943, 2758],
-    [2480, 2492, 2765, 2942, 2758],
-    [2511, 2517, 2772],
-    [2510, 2516, 2771],
-    [2493, 2505, 2766],
-    [2492, 2504, 2765],
-    [2480, 2481, 2758],
-    [2944, 2945, 2951, 2954, 2950],
-    [2774, 2951, 2954],
-    [2773, 2950, 2954],
-    [2518, 2519, 2774, 2954, 2773],
-    [2768, 2945, 2951],
-    [2507, 2513, 2774, 2951, 2768],
-    [2767, 2944, 2950],
-    [2506, 2512, 2773, 2950, 2767],
-    [2759, 2944, 2945],
-    [2483, 2495, 2768, 2945, 2759],
-    [2482, 2494, 2767, 2944, 2759],
-    [2513, 2519, 2774],
-    [2512, 2518, 2773],
-    [2495, 2507, 2768],
-    [2494, 2506, 2767],
-    [2482, 2483, 2759],
-    [2955, 2956, 2962, 2967, 2961],
-    [2785, 2962, 2967],
-    [2784, 2961, 2967],
-    [2544, 2545, 2785, 2967, 2784],
-    [2779, 2956, 2962],
-    [2534, 2540, 2785, 2962, 2779],
-    [2778, 2955, 2961],
-    [2532, 2538, 2784, 2961, 2778],
-    [2775, 2955, 2956],
-    [2521, 2527, 2779, 2956, 2775],
-    [2520, 2526, 2778, 2955, 2775],
-    [2540, 2545, 2785],
-    [2538, 2544, 2784],
-    [2527, 2534, 2779],
-    [2526, 2532, 2778],
-    [2520, 2521, 2775],
-    [2957, 2958, 2964, 2968, 2963],
-    [2787, 2964, 2968],
-    [2786, 2963, 2968],
-    [2546, 2547, 2787, 2968, 2786],
-    [2781, 2958, 2964],
-    [2535, 2541, 2787, 2964, 2781],
-    [2780, 2957, 2963],
-    [2533, 2539, 2786, 2963, 2780],
-    [2776, 2957, 2958],
-    [2523, 2529, 2781, 2958, 2776],
-    [2522, 2528, 2780, 2957, 2776],
-    [2541, 2547, 2787],
-    [2539, 2546, 2786],
-    [2529, 2535, 2781],
-    [2528, 2533, 2780],
-    [2522, 2523, 2776],
-    [2959, 2960, 2966, 2969, 2965],
-    [2789, 2966, 2969],
-    [2788, 2965, 2969],
-    [2548, 2549, 2789, 2969, 2788],
-    [2783, 2960, 2966],
-    [2537, 2543, 2789, 2966, 2783],
-    [2782, 2959, 2965],
-    [2536, 2542, 2788, 2965, 2782],
-    [2777, 2959, 2960],
-    [2525, 2531, 2783, 2960, 2777],
-    [2524, 2530, 2782, 2959, 2777],
-    [2543, 2549, 2789],
-    [2542, 2548, 2788],
-    [2531, 2537, 2783],
-    [2530, 2536, 2782],
-    [2524, 2525, 2777],
-    [2730, 2790, 2796],
-    [2670, 2673, 2796, 2790],
-    [2436, 2556, 2796, 2730],
-    [2556, 2673, 2796],
-    [2430, 2550, 2790, 2730],
-    [2550, 2670, 2790],
-    [2343, 2670, 2673],
-    [2731, 2791, 2798],
-    [2671, 2674, 2798, 2791],
-    [2437, 2558, 2798, 2731],
-    [2558, 2674, 2798],
-    [2431, 2551, 2791, 2731],
-    [2551, 2671, 2791],
-    [2344, 2671, 2674],
-    [2732, 2792, 2797],
-    [2670, 2673, 2797, 2792],
-    [2438, 2557, 2797, 2732],
-    [2557, 2673, 2797],
-    [2432, 2552, 2792, 2732],
-    [2552, 2670, 2792],
-    [2734, 2793, 2799],
-    [2671, 2674, 2799, 2793],
-    [2439, 2559, 2799, 2734],
-    [2559, 2674, 2799],
-    [2434, 2553, 2793, 2734],
-    [2553, 2671, 2793],
-    [2733, 2794, 2800],
-    [2672, 2675, 2800, 2794],
-    [2440, 2560, 2800, 2733],
-    [2560, 2675, 2800],
-    [2433, 2554, 2794, 2733],
-    [2554, 2672, 2794],
-    [2345, 2672, 2675],
-    [2735, 2795, 2801],
-    [2672, 2675, 2801, 2795],
-    [2441, 2561, 2801, 2735],
-    [2561, 2675, 2801],
-    [2435, 2555, 2795, 2735],
-    [2555, 2672, 2795],
-    [2736, 2802, 2808],
-    [2676, 2682, 2808, 2802],
-    [2448, 2574, 2808, 2736],
-    [2574, 2682, 2808],
-    [2442, 2562, 2802, 2736],
-    [2562, 2676, 2802],
-    [2355, 2676, 2682],
-    [2737, 2803, 2809],
-    [2678, 2683, 2809, 2803],
-    [2449, 2575, 2809, 2737],
-    [2575, 2683, 2809],
-    [2443, 2564, 2803, 2737],
-    [2564, 2678, 2803],
-    [2356, 2678, 2683],
-    [2738, 2804, 2810],
-    [2677, 2684, 2810, 2804],
-    [2450, 2576, 2810, 2738],
-    [2576, 2684, 2810],
-    [2444, 2563, 2804, 2738],
-    [2563, 2677, 2804],
-    [2357, 2677, 2684],
-    [2740, 2805, 2811],
-    [2679, 2685, 2811, 2805],
-    [2452, 2577, 2811, 2740],
-    [2577, 2685, 2811],
-    [2445, 2565, 2805, 2740],
-    [2565, 2679, 2805],
-    [2358, 2679, 2685],
-    [2739, 2806, 2812],
-    [2680, 2686, 2812, 2806],
-    [2451, 2578, 2812, 2739],
-    [2578, 2686, 2812],
-    [2446, 2566, 2806, 2739],
-    [2566, 2680, 2806],
-    [2359, 2680, 2686],
-    [2741, 2807, 2813],
-    [2681, 2687, 2813, 2807],
-    [2453, 2579, 2813, 2741],
-    [2579, 2687, 2813],
-    [2447, 2567, 2807, 2741],
-    [2567, 2681, 2807],
-    [2360, 2681, 2687],
-    [2742, 2820, 2821],
-    [2688, 2689, 2821, 2820],
-    [2455, 2581, 2821, 2742],
-    [2581, 2689, 2821],
-    [2454, 2580, 2820, 2742],
-    [2580, 2688, 2820],
-    [2367, 2688, 2689],
-    [2745, 2814, 2826],
-    [2676, 2682, 2826, 2814],
-    [2466, 2586, 2826, 2745],
-    [2586, 2682, 2826],
-    [2460, 2568, 2814, 2745],
-    [2568, 2676, 2814],
-    [2746, 2815, 2827],
-    [2677, 2684, 2827, 2815],
-    [2467, 2588, 2827, 2746],
-    [2588, 2684, 2827],
-    [2461, 2569, 2815, 2746],
-    [2569, 2677, 2815],
-    [2747, 2816, 2828],
-    [2678, 2683, 2828, 2816],
-    [2468, 2587, 2828, 2747],
-    [2587, 2683, 2828],
-    [2462, 2570, 2816, 2747],
-    [2570, 2678, 2816],
-    [2748, 2817, 2829],
-    [2679, 2685, 2829, 2817],
-    [2469, 2589, 2829, 2748],
-    [2589, 2685, 2829],
-    [2463, 2571, 2817, 2748],
-    [2571, 2679, 2817],
-    [2743, 2822, 2823],
-    [2690, 2691, 2823, 2822],
-    [2457, 2583, 2823, 2743],
-    [2583, 2691, 2823],
-    [2456, 2582, 2822, 2743],
-    [2582, 2690, 2822],
-    [2368, 2690, 2691],
-    [2744, 2824, 2825],
-    [2692, 2693, 2825, 2824],
-    [2459, 2585, 2825, 2744],
-    [2585, 2693, 2825],
-    [2458, 2584, 2824, 2744],
-    [2584, 2692, 2824],
-    [2369, 2692, 2693],
-    [2749, 2818, 2830],
-    [2680, 2686, 2830, 2818],
-    [2470, 2590, 2830, 2749],
-    [2590, 2686, 2830],
-    [2464, 2572, 2818, 2749],
-    [2572, 2680, 2818],
-    [2750, 2819, 2831],
-    [2681, 2687, 2831, 2819],
-    [2471, 2591, 2831, 2750],
-    [2591, 2687, 2831],
-    [2465, 2573, 2819, 2750],
-    [2573, 2681, 2819],
-    [2757, 2832, 2833],
-    [2688, 2689, 2833, 2832],
-    [2479, 2594, 2833, 2757],
-    [2594, 2689, 2833],
-    [2478, 2592, 2832, 2757],
-    [2592, 2688, 2832],
-    [2758, 2834, 2835],
-    [2690, 2691, 2835, 2834],
-    [2481, 2599, 2835, 2758],
-    [2599, 2691, 2835],
-    [2480, 2597, 2834, 2758],
-    [2597, 2690, 2834],
-    [2759, 2836, 2837],
-    [2692, 2693, 2837, 2836],
-    [2483, 2602, 2837, 2759],
-    [2602, 2693, 2837],
-    [2482, 2600, 2836, 2759],
-    [2600, 2692, 2836],
-    [2751, 2838, 2850],
-    [2694, 2700, 2850, 2838],
-    [2484, 2610, 2850, 2751],
-    [2610, 2700, 2850],
-    [2472, 2593, 2838, 2751],
-    [2593, 2694, 2838],
-    [2382, 2694, 2700],
-    [2753, 2839, 2852],
-    [2695, 2701, 2852, 2839],
-    [2486, 2612, 2852, 2753],
-    [2612, 2701, 2852],
-    [2474, 2595, 2839, 2753],
-    [2595, 2695, 2839],
-    [2383, 2695, 2701],
-    [2752, 2840, 2851],
-    [2696, 2702, 2851, 2840],
-    [2485, 2611, 2851, 2752],
-    [2611, 2702, 2851],
-    [2473, 2596, 2840, 2752],
-    [2596, 2696, 2840],
-    [2384, 2696, 2702],
-    [2754, 2841, 2853],
-    [2697, 2703, 2853, 2841],
-    [2487, 2613, 2853, 2754],
-    [2613, 2703, 2853],
-    [2475, 2598, 2841, 2754],
-    [2598, 2697, 2841],
-    [2385, 2697, 2703],
-    [2755, 2842, 2854],
-    [2698, 2704, 2854, 2842],
-    [2488, 2614, 2854, 2755],
-    [2614, 2704, 2854],
-    [2476, 2601, 2842, 2755],
-    [2601, 2698, 2842],
-    [2386, 2698, 2704],
-    [2756, 2843, 2855],
-    [2699, 2705, 2855, 2843],
-    [2489, 2615, 2855, 2756],
-    [2615, 2705, 2855],
-    [2477, 2603, 2843, 2756],
-    [2603, 2699, 2843],
-    [2387, 2699, 2705],
-    [2763, 2844, 2856],
-    [2694, 2700, 2856, 2844],
-    [2502, 2616, 2856, 2763],
-    [2616, 2700, 2856],
-    [2490, 2604, 2844, 2763],
-    [2604, 2694, 2844],
-    [2764, 2845, 2857],
-    [2695, 2701, 2857, 2845],
-    [2503, 2618, 2857, 2764],
-    [2618, 2701, 2857],
-    [2491, 2605, 2845, 2764],
-    [2605, 2695, 2845],
-    [2765, 2846, 2858],
-    [2696, 2702, 2858, 2846],
-    [2504, 2621, 2858, 2765],
-    [2621, 2702, 2858],
-    [2492, 2606, 2846, 2765],
-    [2606, 2696, 2846],
-    [2767, 2848, 2859],
-    [2697, 2703, 2859, 2848],
-    [2506, 2623, 2859, 2767],
-    [2623, 2703, 2859],
-    [2494, 2608, 2848, 2767],
-    [2608, 2697, 2848],
-    [2766, 2847, 2860],
-    [2698, 2704, 2860, 2847],
-    [2505, 2624, 2860, 2766],
-    [2624, 2704, 2860],
-    [2493, 2607, 2847, 2766],
-    [2607, 2698, 2847],
-    [2768, 2849, 2861],
-    [2699, 2705, 2861, 2849],
-    [2507, 2626, 2861, 2768],
-    [2626, 2705, 2861],
-    [2495, 2609, 2849, 2768],
-    [2609, 2699, 2849],
-    [2760, 2862, 2863],
-    [2706, 2707, 2863, 2862],
-    [2497, 2619, 2863, 2760],
-    [2619, 2707, 2863],
-    [2496, 2617, 2862, 2760],
-    [2617, 2706, 2862],
-    [2400, 2706, 2707],
-    [2761, 2864, 2865],
-    [2708, 2709, 2865, 2864],
-    [2499, 2622, 2865, 2761],
-    [2622, 2709, 2865],
-    [2498, 2620, 2864, 2761],
-    [2620, 2708, 2864],
-    [2401, 2708, 2709],
-    [2762, 2866, 2867],
-    [2710, 2711, 2867, 2866],
-    [2501, 2627, 2867, 2762],
-    [2627, 2711, 2867],
-    [2500, 2625, 2866, 2762],
-    [2625, 2710, 2866],
-    [2402, 2710, 2711],
-    [2769, 2868, 2880],
-    [2712, 2718, 2880, 2868],
-    [2514, 2646, 2880, 2769],
-    [2646, 2718, 2880],
-    [2508, 2628, 2868, 2769],
-    [2628, 2712, 2868],
-    [2409, 2712, 2718],
-    [2770, 2869, 2881],
-    [2713, 2719, 2881, 2869],
-    [2515, 2647, 2881, 2770],
-    [2647, 2719, 2881],
-    [2509, 2629, 2869, 2770],
-    [2629, 2713, 2869],
-    [2410, 2713, 2719],
-    [2775, 2874, 2875],
-    [2706, 2707, 2875, 2874],
-    [2521, 2635, 2875, 2775],
-    [2635, 2707, 2875],
-    [2520, 2634, 2874, 2775],
-    [2634, 2706, 2874],
-    [2776, 2876, 2877],
-    [2708, 2709, 2877, 2876],
-    [2523, 2637, 2877, 2776],
-    [2637, 2709, 2877],
-    [2522, 2636, 2876, 2776],
-    [2636, 2708, 2876],
-    [2771, 2870, 2882],
-    [2714, 2720, 2882, 2870],
-    [2516, 2648, 2882, 2771],
-    [2648, 2720, 2882],
-    [2510, 2630, 2870, 2771],
-    [2630, 2714, 2870],
-    [2411, 2714, 2720],
-    [2772, 2871, 2883],
-    [2716, 2721, 2883, 2871],
-    [2517, 2649, 2883, 2772],
-    [2649, 2721, 2883],
-    [2511, 2632, 2871, 2772],
-    [2632, 2716, 2871],
-    [2413, 2716, 2721],
-    [2773, 2872, 2884],
-    [2715, 2722, 2884, 2872],
-    [2518, 2650, 2884, 2773],
-    [2650, 2722, 2884],
-    [2512, 2631, 2872, 2773],
-    [2631, 2715, 2872],
-    [2412, 2715, 2722],
-    [2774, 2873, 2885],
-    [2717, 2723, 2885, 2873],
-    [2519, 2651, 2885, 2774],
-    [2651, 2723, 2885],
-    [2513, 2633, 2873, 2774],
-    [2633, 2717, 2873],
-    [2414, 2717, 2723],
-    [2777, 2878, 2879],
-    [2710, 2711, 2879, 2878],
-    [2525, 2639, 2879, 2777],
-    [2639, 2711, 2879],
-    [2524, 2638, 2878, 2777],
-    [2638, 2710, 2878],
-    [2778, 2886, 2892],
-    [2712, 2718, 2892, 2886],
-    [2532, 2652, 2892, 2778],
-    [2652, 2718, 2892],
-    [2526, 2640, 2886, 2778],
-    [2640, 2712, 2886],
-    [2780, 2887, 2893],
-    [2713, 2719, 2893, 2887],
-    [2533, 2653, 2893, 2780],
-    [2653, 2719, 2893],
-    [2528, 2641, 2887, 2780],
-    [2641, 2713, 2887],
-    [2779, 2888, 2894],
-    [2714, 2720, 2894, 2888],
-    [2534, 2654, 2894, 2779],
-    [2654, 2720, 2894],
-    [2527, 2642, 2888, 2779],
-    [2642, 2714, 2888],
-    [2781, 2889, 2895],
-    [2715, 2722, 2895, 2889],
-    [2535, 2656, 2895, 2781],
-    [2656, 2722, 2895],
-    [2529, 2643, 2889, 2781],
-    [2643, 2715, 2889],
-    [2782, 2890, 2896],
-    [2716, 2721, 2896, 2890],
-    [2536, 2655, 2896, 2782],
-    [2655, 2721, 2896],
-    [2530, 2644, 2890, 2782],
-    [2644, 2716, 2890],
-    [2783, 2891, 2897],
-    [2717, 2723, 2897, 2891],
-    [2537, 2657, 2897, 2783],
-    [2657, 2723, 2897],
-    [2531, 2645, 2891, 2783],
-    [2645, 2717, 2891],
-    [2784, 2898, 2904],
-    [2724, 2727, 2904, 2898],
-    [2544, 2664, 2904, 2784],
-    [2664, 2727, 2904],
-    [2538, 2658, 2898, 2784],
-    [2658, 2724, 2898],
-    [2424, 2724, 2727],
-    [2786, 2899, 2905],
-    [2724, 2727, 2905, 2899],
-    [2546, 2665, 2905, 2786],
-    [2665, 2727, 2905],
-    [2539, 2659, 2899, 2786],
-    [2659, 2724, 2899],
-    [2785, 2900, 2906],
-    [2725, 2728, 2906, 2900],
-    [2545, 2666, 2906, 2785],
-    [2666, 2728, 2906],
-    [2540, 2660, 2900, 2785],
-    [2660, 2725, 2900],
-    [2425, 2725, 2728],
-    [2787, 2902, 2907],
-    [2726, 2729, 2907, 2902],
-    [2547, 2667, 2907, 2787],
-    [2667, 2729, 2907],
-    [2541, 2662, 2902, 2787],
-    [2662, 2726, 2902],
-    [2426, 2726, 2729],
-    [2788, 2901, 2908],
-    [2725, 2728, 2908, 2901],
-    [2548, 2668, 2908, 2788],
-    [2668, 2728, 2908],
-    [2542, 2661, 2901, 2788],
-    [2661, 2725, 2901],
-    [2789, 2903, 2909],
-    [2726, 2729, 2909, 2903],
-    [2549, 2669, 2909, 2789],
-    [2669, 2729, 2909],
-    [2543, 2663, 2903, 2789],
-    [2663, 2726, 2903],
-    [2550, 2551, 2791, 2970, 2790],
-    [2731, 2791, 2970, 2910],
-    [2730, 2790, 2970, 2910],
-    [2552, 2554, 2794, 2971, 2792],
-    [2732, 2792, 2971, 2911],
-    [2733, 2794, 2971, 2911],
-    [2553, 2555, 2795, 2972, 2793],
-    [2734, 2793, 2972, 2912],
-    [2735, 2795, 2972, 2912],
-    [2556, 2562, 2802, 2973, 2796],
-    [2730, 2796, 2973, 2913],
-    [2736, 2802, 2973, 2913],
-    [2558, 2564, 2803, 2974, 2798],
-    [2731, 2798, 2974, 2914],
-    [2737, 2803, 2974, 2914],
-    [2557, 2563, 2804, 2975, 2797],
-    [2732, 2797, 2975, 2915],
-    [2738, 2804, 2975, 2915],
-    [2734, 2799, 2976, 2917],
-    [2559, 2565, 2805, 2976, 2799],
-    [2740, 2805, 2976, 2917],
-    [2560, 2566, 2806, 2977, 2800],
-    [2733, 2800, 2977, 2916],
-    [2739, 2806, 2977, 2916],
-    [2561, 2567, 2807, 2978, 2801],
-    [2741, 2807, 2978, 2918],
-    [2735, 2801, 2978, 2918],
-    [2574, 2580, 2820, 2979, 2808],
-    [2742, 2820, 2979, 2919],
-    [2736, 2808, 2979, 2919],
-    [2575, 2581, 2821, 2980, 2809],
-    [2742, 2821, 2980, 2920],
-    [2737, 2809, 2980, 2920],
-    [2576, 2582, 2822, 2981, 2810],
-    [2738, 2810, 2981, 2921],
-    [2743, 2822, 2981, 2921],
-    [2739, 2812, 2982, 2922],
-    [2578, 2583, 2823, 2982, 2812],
-    [2743, 2823, 2982, 2922],
-    [2577, 2584, 2824, 2983, 2811],
-    [2744, 2824, 2983, 2923],
-    [2740, 2811, 2983, 2923],
-    [2741, 2813, 2984, 2924],
-    [2579, 2585, 2825, 2984, 2813],
-    [2744, 2825, 2984, 2924],
-    [2568, 2569, 2815, 2985, 2814],
-    [2745, 2814, 2985, 2925],
-    [2746, 2815, 2985, 2925],
-    [2570, 2571, 2817, 2986, 2816],
-    [2747, 2816, 2986, 2926],
-    [2748, 2817, 2986, 2926],
-    [2750, 2819, 2987, 2927],
-    [2572, 2573, 2819, 2987, 2818],
-    [2749, 2818, 2987, 2927],
-    [2586, 2593, 2838, 2988, 2826],
-    [2745, 2826, 2988, 2928],
-    [2751, 2838, 2988, 2928],
-    [2588, 2596, 2840, 2989, 2827],
-    [2746, 2827, 2989, 2929],
-    [2752, 2840, 2989, 2929],
-    [2587, 2595, 2839, 2990, 2828],
-    [2747, 2828, 2990, 2930],
-    [2753, 2839, 2990, 2930],
-    [2589, 2598, 2841, 2991, 2829],
-    [2748, 2829, 2991, 2931],
-    [2754, 2841, 2991, 2931],
-    [2590, 2601, 2842, 2992, 2830],
-    [2749, 2830, 2992, 2932],
-    [2755, 2842, 2992, 2932],
-    [2591, 2603, 2843, 2993, 2831],
-    [2750, 2831, 2993, 2933],
-    [2756, 2843, 2993, 2933],
-    [2592, 2604, 2844, 2994, 2832],
-    [2757, 2832, 2994, 2940],
-    [2763, 2844, 2994, 2940],
-    [2757, 2833, 2995, 2941],
-    [2594, 2605, 2845, 2995, 2833],
-    [2764, 2845, 2995, 2941],
-    [2597, 2606, 2846, 2996, 2834],
-    [2758, 2834, 2996, 2942],
-    [2765, 2846, 2996, 2942],
-    [2599, 2607, 2847, 2997, 2835],
-    [2766, 2847, 2997, 2943],
-    [2758, 2835, 2997, 2943],
-    [2759, 2836, 2998, 2944],
-    [2600, 2608, 2848, 2998, 2836],
-    [2767, 2848, 2998, 2944],
-    [2602, 2609, 2849, 2999, 2837],
-    [2768, 2849, 2999, 2945],
-    [2759, 2837, 2999, 2945],
-    [2610, 2617, 2862, 3000, 2850],
-    [2751, 2850, 3000, 2934],
-    [2760, 2862, 3000, 2934],
-    [2760, 2863, 3001, 2935],
-    [2611, 2619, 2863, 3001, 2851],
-    [2752, 2851, 3001, 2935],
-    [2612, 2620, 2864, 3002, 2852],
-    [2753, 2852, 3002, 2936],
-    [2761, 2864, 3002, 2936],
-    [2613, 2622, 2865, 3003, 2853],
-    [2754, 2853, 3003, 2937],
-    [2761, 2865, 3003, 2937],
-    [2762, 2866, 3004, 2938],
-    [2614, 2625, 2866, 3004, 2854],
-    [2755, 2854, 3004, 2938],
-    [2615, 2627, 2867, 3005, 2855],
-    [2762, 2867, 3005, 2939],
-    [2756, 2855, 3005, 2939],
-    [2616, 2628, 2868, 3006, 2856],
-    [2769, 2868, 3006, 2946],
-    [2763, 2856, 3006, 2946],
-    [2618, 2629, 2869, 3007, 2857],
-    [2770, 2869, 3007, 2947],
-    [2764, 2857, 3007, 2947],
-    [2621, 2630, 2870, 3008, 2858],
-    [2771, 2870, 3008, 2948],
-    [2765, 2858, 3008, 2948],
-    [2624, 2632, 2871, 3009, 2860],
-    [2772, 2871, 3009, 2949],
-    [2766, 2860, 3009, 2949],
-    [2623, 2631, 2872, 3010, 2859],
-    [2773, 2872, 3010, 2950],
-    [2767, 2859, 3010, 2950],
-    [2626, 2633, 2873, 3011, 2861],
-    [2774, 2873, 3011, 2951],
-    [2768, 2861, 3011, 2951],
-    [2769, 2880, 3012, 2952],
-    [2646, 2647, 2881, 3012, 2880],
-    [2770, 2881, 3012, 2952],
-    [2648, 2649, 2883, 3013, 2882],
-    [2772, 2883, 3013, 2953],
-    [2771, 2882, 3013, 2953],
-    [2650, 2651, 2885, 3014, 2884],
-    [2774, 2885, 3014, 2954],
-    [2773, 2884, 3014, 2954],
-    [2778, 2886, 3015, 2955],
-    [2634, 2640, 2886, 3015, 2874],
-    [2775, 2874, 3015, 2955],
-    [2635, 2642, 2888, 3016, 2875],
-    [2775, 2875, 3016, 2956],
-    [2779, 2888, 3016, 2956],
-    [2780, 2887, 3017, 2957],
-    [2636, 2641, 2887, 3017, 2876],
-    [2776, 2876, 3017, 2957],
-    [2637, 2643, 2889, 3018, 2877],
-    [2781, 2889, 3018, 2958],
-    [2776, 2877, 3018, 2958],
-    [2638, 2644, 2890, 3019, 2878],
-    [2777, 2878, 3019, 2959],
-    [2782, 2890, 3019, 2959],
-    [2639, 2645, 2891, 3020, 2879],
-    [2777, 2879, 3020, 2960],
-    [2783, 2891, 3020, 2960],
-    [2652, 2658, 2898, 3021, 2892],
-    [2778, 2892, 3021, 2961],
-    [2784, 2898, 3021, 2961],
-    [2653, 2659, 2899, 3022, 2893],
-    [2786, 2899, 3022, 2963],
-    [2780, 2893, 3022, 2963],
-    [2785, 2900, 3023, 2962],
-    [2654, 2660, 2900, 3023, 2894],
-    [2779, 2894, 3023, 2962],
-    [2656, 2662, 2902, 3024, 2895],
-    [2787, 2902, 3024, 2964],
-    [2781, 2895, 3024, 2964],
-    [2655, 2661, 2901, 3025, 2896],
-    [2788, 2901, 3025, 2965],
-    [2782, 2896, 3025, 2965],
-    [2657, 2663, 2903, 3026, 2897],
-    [2783, 2897, 3026, 2966],
-    [2789, 2903, 3026, 2966],
-    [2664, 2666, 2906, 3027, 2904],
-    [2785, 2906, 3027, 2967],
-    [2784, 2904, 3027, 2967],
-    [2665, 2667, 2907, 3028, 2905],
-    [2787, 2907, 3028, 2968],
-    [2786, 2905, 3028, 2968],
-    [2668, 2669, 2909, 3029, 2908],
-    [2788, 2908, 3029, 2969],
-    [2789, 2909, 3029, 2969],
-    [3210, 3211, 3212],
-    [2972, 3033, 3211, 3212, 3035],
-    [2971, 3032, 3210, 3212, 3034],
-    [3034, 3035, 3212],
-    [2970, 3030, 3210, 3211, 3031],
-    [3031, 3033, 3211],
-    [3030, 3032, 3210],
-    [2672, 2794, 3034, 3035, 2795],
-    [2795, 2972, 3035],
-    [2794, 2971, 3034],
-    [2671, 2791, 3031, 3033, 2793],
-    [2793, 2972, 3033],
-    [2670, 2790, 3030, 3032, 2792],
-    [2792, 2971, 3032],
-    [2791, 2970, 3031],
-    [2790, 2970, 3030],
-    [3219, 3223, 3225],
-    [2985, 3049, 3223, 3225, 3051],
-    [2975, 3037, 3219, 3225, 3044],
-    [3044, 3051, 3225],
-    [2973, 3036, 3219, 3223, 3042],
-    [3042, 3049, 3223],
-    [3036, 3037, 3219],
-    [2677, 2804, 3044, 3051, 2815],
-    [2815, 2985, 3051],
-    [2676, 2802, 3042, 3049, 2814],
-    [2814, 2985, 3049],
-    [2804, 2975, 3044],
-    [2802, 2973, 3042],
-    [2673, 2796, 3036, 3037, 2797],
-    [2797, 2975, 3037],
-    [2796, 2973, 3036],
-    [3220, 3226, 3228],
-    [2986, 3052, 3226, 3228, 3054],
-    [2976, 3039, 3220, 3228, 3045],
-    [3045, 3054, 3228],
-    [2974, 3038, 3220, 3226, 3043],
-    [3043, 3052, 3226],
-    [3038, 3039, 3220],
-    [2679, 2805, 3045, 3054, 2817],
-    [2817, 2986, 3054],
-    [2678, 2803, 3043, 3052, 2816],
-    [2816, 2986, 3052],
-    [2805, 2976, 3045],
-    [2803, 2974, 3043],
-    [2674, 2798, 3038, 3039, 2799],
-    [2799, 2976, 3039],
-    [2798, 2974, 3038],
-    [3221, 3231, 3233],
-    [2987, 3057, 3231, 3233, 3059],
-    [2978, 3041, 3221, 3233, 3047],
-    [3047, 3059, 3233],
-    [2977, 3040, 3221, 3231, 3046],
-    [3046, 3057, 3231],
-    [3040, 3041, 3221],
-    [2681, 2807, 3047, 3059, 2819],
-    [2819, 2987, 3059],
-    [2680, 2806, 3046, 3057, 2818],
-    [2818, 2987, 3057],
-    [2807, 2978, 3047],
-    [2806, 2977, 3046],
-    [2675, 2800, 3040, 3041, 2801],
-    [2801, 2978, 3041],
-    [2800, 2977, 3040],
-    [3237, 3249, 3255],
-    [2994, 3072, 3249, 3255, 3084],
-    [2988, 3061, 3237, 3255, 3078],
-    [3078, 3084, 3255],
-    [2979, 3048, 3237, 3249, 3060],
-    [3060, 3072, 3249],
-    [3048, 3061, 3237],
-    [2694, 2838, 3078, 3084, 2844],
-    [2844, 2994, 3084],
-    [2838, 2988, 3078],
-    [2688, 2820, 3060, 3072, 2832],
-    [2832, 2994, 3072],
-    [2682, 2808, 3048, 3061, 2826],
-    [2826, 2988, 3061],
-    [2820, 2979, 3060],
-    [2808, 2979, 3048],
-    [3239, 3250, 3256],
-    [2995, 3073, 3250, 3256, 3085],
-    [2990, 3063, 3239, 3256, 3079],
-    [3079, 3085, 3256],
-    [2980, 3050, 3239, 3250, 3062],
-    [3062, 3073, 3250],
-    [3050, 3063, 3239],
-    [2695, 2839, 3079, 3085, 2845],
-    [2845, 2995, 3085],
-    [2839, 2990, 3079],
-    [2689, 2821, 3062, 3073, 2833],
-    [2833, 2995, 3073],
-    [2683, 2809, 3050, 3063, 2828],
-    [2828, 2990, 3063],
-    [2821, 2980, 3062],
-    [2809, 2980, 3050],
-    [3242, 3251, 3257],
-    [2996, 3074, 3251, 3257, 3086],
-    [2989, 3064, 3242, 3257, 3080],
-    [3080, 3086, 3257],
-    [2981, 3053, 3242, 3251, 3065],
-    [3065, 3074, 3251],
-    [3053, 3064, 3242],
-    [2696, 2840, 3080, 3086, 2846],
-    [2846, 2996, 3086],
-    [2840, 2989, 3080],
-    [2690, 2822, 3065, 3074, 2834],
-    [2834, 2996, 3074],
-    [2822, 2981, 3065],
-    [2684, 2810, 3053, 3064, 2827],
-    [2827, 2989, 3064],
-    [2810, 2981, 3053],
-    [3244, 3253, 3258],
-    [2998, 3076, 3253, 3258, 3087],
-    [2991, 3066, 3244, 3258, 3081],
-    [3081, 3087, 3258],
-    [2983, 3055, 3244, 3253, 3068],
-    [3068, 3076, 3253],
-    [3055, 3066, 3244],
-    [2697, 2841, 3081, 3087, 2848],
-    [2848, 2998, 3087],
-    [2841, 2991, 3081],
-    [2692, 2824, 3068, 3076, 2836],
-    [2836, 2998, 3076],
-    [2824, 2983, 3068],
-    [2685, 2811, 3055, 3066, 2829],
-    [2829, 2991, 3066],
-    [2811, 2983, 3055],
-    [3245, 3252, 3259],
-    [2997, 3075, 3252, 3259, 3088],
-    [2992, 3069, 3245, 3259, 3082],
-    [3082, 3088, 3259],
-    [2982, 3056, 3245, 3252, 3067],
-    [3067, 3075, 3252],
-    [3056, 3069, 3245],
-    [2698, 2842, 3082, 3088, 2847],
-    [2847, 2997, 3088],
-    [2842, 2992, 3082],
-    [2691, 2823, 3067, 3075, 2835],
-    [2835, 2997, 3075],
-    [2686, 2812, 3056, 3069, 2830],
-    [2830, 2992, 3069],
-    [2823, 2982, 3067],
-    [2812, 2982, 3056],
-    [3247, 3254, 3260],
-    [2999, 3077, 3254, 3260, 3089],
-    [2993, 3071, 3247, 3260, 3083],
-    [3083, 3089, 3260],
-    [2984, 3058, 3247, 3254, 3070],
-    [3070, 3077, 3254],
-    [3058, 3071, 3247],
-    [2699, 2843, 3083, 3089, 2849],
-    [2849, 2999, 3089],
-    [2843, 2993, 3083],
-    [2693, 2825, 3070, 3077, 2837],
-    [2837, 2999, 3077],
-    [2687, 2813, 3058, 3071, 2831],
-    [2831, 2993, 3071],
-    [2825, 2984, 3070],
-    [2813, 2984, 3058],
-    [3279, 3285, 3292],
-    [3015, 3109, 3285, 3292, 3121],
-    [3006, 3096, 3279, 3292, 3108],
-    [3108, 3121, 3292],
-    [3000, 3090, 3279, 3285, 3102],
-    [3102, 3109, 3285],
-    [3090, 3096, 3279],
-    [2712, 2868, 3108, 3121, 2886],
-    [2886, 3015, 3121],
-    [2706, 2862, 3102, 3109, 2874],
-    [2874, 3015, 3109],
-    [2868, 3006, 3108],
-    [2862, 3000, 3102],
-    [2700, 2850, 3090, 3096, 2856],
-    [2856, 3006, 3096],
-    [2850, 3000, 3090],
-    [3280, 3287, 3294],
-    [3017, 3112, 3287, 3294, 3123],
-    [3007, 3097, 3280, 3294, 3110],
-    [3110, 3123, 3294],
-    [3002, 3091, 3280, 3287, 3104],
-    [3104, 3112, 3287],
-    [3091, 3097, 3280],
-    [2713, 2869, 3110, 3123, 2887],
-    [2887, 3017, 3123],
-    [2708, 2864, 3104, 3112, 2876],
-    [2876, 3017, 3112],
-    [2869, 3007, 3110],
-    [2864, 3002, 3104],
-    [2701, 2852, 3091, 3097, 2857],
-    [2857, 3007, 3097],
-    [2852, 3002, 3091],
-    [3281, 3286, 3295],
-    [3016, 3111, 3286, 3295, 3124],
-    [3008, 3098, 3281, 3295, 3113],
-    [3113, 3124, 3295],
-    [3001, 3092, 3281, 3286, 3103],
-    [3103, 3111, 3286],
-    [3092, 3098, 3281],
-    [2714, 2870, 3113, 3124, 2888],
-    [2888, 3016, 3124],
-    [2870, 3008, 3113],
-    [2707, 2863, 3103, 3111, 2875],
-    [2875, 3016, 3111],
-    [2863, 3001, 3103],
-    [2702, 2851, 3092, 3098, 2858],
-    [2858, 3008, 3098],
-    [2851, 3001, 3092],
-    [3282, 3288, 3297],
-    [3018, 3114, 3288, 3297, 3126],
-    [3010, 3099, 3282, 3297, 3115],
-    [3115, 3126, 3297],
-    [3003, 3093, 3282, 3288, 3105],
-    [3105, 3114, 3288],
-    [3093, 3099, 3282],
-    [2715, 2872, 3115, 3126, 2889],
-    [2889, 3018, 3126],
-    [2872, 3010, 3115],
-    [2709, 2865, 3105, 3114, 2877],
-    [2877, 3018, 3114],
-    [2865, 3003, 3105],
-    [2703, 2853, 3093, 3099, 2859],
-    [2859, 3010, 3099],
-    [2853, 3003, 3093],
-    [3283, 3289, 3300],
-    [3019, 3117, 3289, 3300, 3129],
-    [3009, 3100, 3283, 3300, 3116],
-    [3116, 3129, 3300],
-    [3004, 3094, 3283, 3289, 3106],
-    [3106, 3117, 3289],
-    [3094, 3100, 3283],
-    [2716, 2871, 3116, 3129, 2890],
-    [2890, 3019, 3129],
-    [2710, 2866, 3106, 3117, 2878],
-    [2878, 3019, 3117],
-    [2871, 3009, 3116],
-    [2866, 3004, 3106],
-    [2704, 2854, 3094, 3100, 2860],
-    [2860, 3009, 3100],
-    [2854, 3004, 3094],
-    [3284, 3290, 3302],
-    [3020, 3119, 3290, 3302, 3131],
-    [3011, 3101, 3284, 3302, 3118],
-    [3118, 3131, 3302],
-    [3005, 3095, 3284, 3290, 3107],
-    [3107, 3119, 3290],
-    [3095, 3101, 3284],
-    [2717, 2873, 3118, 3131, 2891],
-    [2891, 3020, 3131],
-    [2711, 2867, 3107, 3119, 2879],
-    [2879, 3020, 3119],
-    [2873, 3011, 3118],
-    [2867, 3005, 3107],
-    [2705, 2855, 3095, 3101, 2861],
-    [2861, 3011, 3101],
-    [2855, 3005, 3095],
-    [3306, 3308, 3318],
-    [3022, 3133, 3308, 3318, 3139],
-    [3021, 3132, 3306, 3318, 3138],
-    [3138, 3139, 3318],
-    [3012, 3120, 3306, 3308, 3122],
-    [3122, 3133, 3308],
-    [3120, 3132, 3306],
-    [2724, 2898, 3138, 3139, 2899],
-    [2899, 3022, 3139],
-    [2898, 3021, 3138],
-    [2719, 2881, 3122, 3133, 2893],
-    [2893, 3022, 3133],
-    [2718, 2880, 3120, 3132, 2892],
-    [2892, 3021, 3132],
-    [2881, 3012, 3122],
-    [2880, 3012, 3120],
-    [3311, 3313, 3319],
-    [3025, 3136, 3313, 3319, 3141],
-    [3023, 3134, 3311, 3319, 3140],
-    [3140, 3141, 3319],
-    [3013, 3125, 3311, 3313, 3127],
-    [3127, 3136, 3313],
-    [3125, 3134, 3311],
-    [2725, 2900, 3140, 3141, 2901],
-    [2901, 3025, 3141],
-    [2900, 3023, 3140],
-    [2721, 2883, 3127, 3136, 2896],
-    [2896, 3025, 3136],
-    [2720, 2882, 3125, 3134, 2894],
-    [2894, 3023, 3134],
-    [2883, 3013, 3127],
-    [2882, 3013, 3125],
-    [3314, 3316, 3320],
-    [3026, 3137, 3316, 3320, 3143],
-    [3024, 3135, 3314, 3320, 3142],
-    [3142, 3143, 3320],
-    [3014, 3128, 3314, 3316, 3130],
-    [3130, 3137, 3316],
-    [3128, 3135, 3314],
-    [2726, 2902, 3142, 3143, 2903],
-    [2903, 3026, 3143],
-    [2902, 3024, 3142],
-    [2723, 2885, 3130, 3137, 2897],
-    [2897, 3026, 3137],
-    [2722, 2884, 3128, 3135, 2895],
-    [2895, 3024, 3135],
-    [2885, 3014, 3130],
-    [2884, 3014, 3128],
-    [3327, 3328, 3329],
-    [3029, 3148, 3328, 3329, 3149],
-    [3028, 3145, 3327, 3329, 3147],
-    [3147, 3149, 3329],
-    [3027, 3144, 3327, 3328, 3146],
-    [3146, 3148, 3328],
-    [3144, 3145, 3327],
-    [2729, 2907, 3147, 3149, 2909],
-    [2909, 3029, 3149],
-    [2728, 2906, 3146, 3148, 2908],
-    [2908, 3029, 3148],
-    [2907, 3028, 3147],
-    [2906, 3027, 3146],
-    [2727, 2904, 3144, 3145, 2905],
-    [2905, 3028, 3145],
-    [2904, 3027, 3144],
-    [2790, 2796, 3036, 3030],
-    [2792, 2797, 3037, 3032],
-    [3030, 3032, 3037, 3036],
-    [2791, 2798, 3038, 3031],
-    [3031, 3033, 3039, 3038],
-    [2793, 2799, 3039, 3033],
-    [2795, 2801, 3041, 3035],
-    [2794, 2800, 3040, 3034],
-    [3034, 3035, 3041, 3040],
-    [2802, 2808, 3048, 3042],
-    [2814, 2826, 3061, 3049],
-    [3042, 3048, 3061, 3049],
-    [2803, 2809, 3050, 3043],
-    [2816, 2828, 3063, 3052],
-    [3043, 3050, 3063, 3052],
-    [2804, 2810, 3053, 3044],
-    [2815, 2827, 3064, 3051],
-    [3044, 3051, 3064, 3053],
-    [2805, 2811, 3055, 3045],
-    [2817, 2829, 3066, 3054],
-    [3045, 3054, 3066, 3055],
-    [2818, 2830, 3069, 3057],
-    [3046, 3056, 3069, 3057],
-    [2806, 2812, 3056, 3046],
-    [2807, 2813, 3058, 3047],
-    [2819, 2831, 3071, 3059],
-    [3047, 3058, 3071, 3059],
-    [2820, 2821, 3062, 3060],
-    [3060, 3062, 3073, 3072],
-    [2832, 2833, 3073, 3072],
-    [2822, 2823, 3067, 3065],
-    [3065, 3067, 3075, 3074],
-    [2834, 2835, 3075, 3074],
-    [2824, 2825, 3070, 3068],
-    [3068, 3070, 3077, 3076],
-    [2836, 2837, 3077, 3076],
-    [2844, 2856, 3096, 3084],
-    [2838, 2850, 3090, 3078],
-    [3078, 3084, 3096, 3090],
-    [2845, 2857, 3097, 3085],
-    [2839, 2852, 3091, 3079],
-    [3079, 3085, 3097, 3091],
-    [2840, 2851, 3092, 3080],
-    [3080, 3086, 3098, 3092],
-    [2846, 2858, 3098, 3086],
-    [2848, 2859, 3099, 3087],
-    [3081, 3087, 3099, 3093],
-    [2841, 2853, 3093, 3081],
-    [2842, 2854, 3094, 3082],
-    [2847, 2860, 3100, 3088],
-    [3082, 3088, 3100, 3094],
-    [2843, 2855, 3095, 3083],
-    [2849, 2861, 3101, 3089],
-    [3083, 3089, 3101, 3095],
-    [2874, 2875, 3111, 3109],
-    [3102, 3103, 3111, 3109],
-    [2862, 2863, 3103, 3102],
-    [2876, 2877, 3114, 3112],
-    [3104, 3105, 3114, 3112],
-    [2864, 2865, 3105, 3104],
-    [2878, 2879, 3119, 3117],
-    [3106, 3107, 3119, 3117],
-    [2866, 2867, 3107, 3106],
-    [2868, 2880, 3120, 3108],
-    [2886, 2892, 3132, 3121],
-    [3108, 3120, 3132, 3121],
-    [2869, 2881, 3122, 3110],
-    [3110, 3122, 3133, 3123],
-    [2887, 2893, 3133, 3123],
-    [2888, 2894, 3134, 3124],
-    [2870, 2882, 3125, 3113],
-    [3113, 3124, 3134, 3125],
-    [2872, 2884, 3128, 3115],
-    [2889, 2895, 3135, 3126],
-    [3115, 3126, 3135, 3128],
-    [2890, 2896, 3136, 3129],
-    [2871, 2883, 3127, 3116],
-    [3116, 3127, 3136, 3129],
-    [2891, 2897, 3137, 3131],
-    [2873, 2885, 3130, 3118],
-    [3118, 3130, 3137, 3131],
-    [2898, 2904, 3144, 3138],
-    [2899, 2905, 3145, 3139],
-    [3138, 3139, 3145, 3144],
-    [2901, 2908, 3148, 3141],
-    [3140, 3141, 3148, 3146],
-    [2900, 2906, 3146, 3140],
-    [2903, 2909, 3149, 3143],
-    [2902, 2907, 3147, 3142],
-    [3142, 3143, 3149, 3147],
-    [3150, 3153, 3213],
-    [2973, 3036, 3213, 3153],
-    [2970, 3030, 3213, 3150],
-    [3030, 3036, 3213],
-    [2910, 2913, 3153, 3150],
-    [2913, 2973, 3153],
-    [2910, 2970, 3150],
-    [3150, 3154, 3214],
-    [2974, 3038, 3214, 3154],
-    [2970, 3031, 3214, 3150],
-    [3031, 3038, 3214],
-    [2910, 2914, 3154, 3150],
-    [2914, 2974, 3154],
-    [3151, 3155, 3215],
-    [2975, 3037, 3215, 3155],
-    [2971, 3032, 3215, 3151],
-    [3032, 3037, 3215],
-    [2911, 2915, 3155, 3151],
-    [2915, 2975, 3155],
-    [2911, 2971, 3151],
-    [3152, 3157, 3216],
-    [2976, 3039, 3216, 3157],
-    [2972, 3033, 3216, 3152],
-    [3033, 3039, 3216],
-    [2912, 2917, 3157, 3152],
-    [2917, 2976, 3157],
-    [2912, 2972, 3152],
-    [3151, 3156, 3217],
-    [2977, 3040, 3217, 3156],
-    [2971, 3034, 3217, 3151],
-    [3034, 3040, 3217],
-    [2911, 2916, 3156, 3151],
-    [2916, 2977, 3156],
-    [3152, 3158, 3218],
-    [2978, 3041, 3218, 3158],
-    [2972, 3035, 3218, 3152],
-    [3035, 3041, 3218],
-    [2912, 2918, 3158, 3152],
-    [2918, 2978, 3158],
-    [3153, 3159, 3222],
-    [2979, 3048, 3222, 3159],
-    [2973, 3042, 3222, 3153],
-    [3042, 3048, 3222],
-    [2913, 2919, 3159, 3153],
-    [2919, 2979, 3159],
-    [3154, 3160, 3224],
-    [2980, 3050, 3224, 3160],
-    [2974, 3043, 3224, 3154],
-    [3043, 3050, 3224],
-    [2914, 2920, 3160, 3154],
-    [2920, 2980, 3160],
-    [3155, 3161, 3227],
-    [2981, 3053, 3227, 3161],
-    [2975, 3044, 3227, 3155],
-    [3044, 3053, 3227],
-    [2915, 2921, 3161, 3155],
-    [2921, 2981, 3161],
-    [3157, 3163, 3229],
-    [2983, 3055, 3229, 3163],
-    [2976, 3045, 3229, 3157],
-    [3045, 3055, 3229],
-    [2917, 2923, 3163, 3157],
-    [2923, 2983, 3163],
-    [3156, 3162, 3230],
-    [2982, 3056, 3230, 3162],
-    [2977, 3046, 3230, 3156],
-    [3046, 3056, 3230],
-    [2916, 2922, 3162, 3156],
-    [2922, 2982, 3162],
-    [3158, 3164, 3232],
-    [2984, 3058, 3232, 3164],
-    [2978, 3047, 3232, 3158],
-    [3047, 3058, 3232],
-    [2918, 2924, 3164, 3158],
-    [2924, 2984, 3164],
-    [3159, 3160, 3234],
-    [2980, 3062, 3234, 3160],
-    [2979, 3060, 3234, 3159],
-    [3060, 3062, 3234],
-    [2919, 2920, 3160, 3159],
-    [3161, 3162, 3235],
-    [2982, 3067, 3235, 3162],
-    [2981, 3065, 3235, 3161],
-    [3065, 3067, 3235],
-    [2921, 2922, 3162, 3161],
-    [3163, 3164, 3236],
-    [2984, 3070, 3236, 3164],
-    [2983, 3068, 3236, 3163],
-    [3068, 3070, 3236],
-    [2923, 2924, 3164, 3163],
-    [3165, 3168, 3238],
-    [2988, 3061, 3238, 3168],
-    [2985, 3049, 3238, 3165],
-    [3049, 3061, 3238],
-    [2925, 2928, 3168, 3165],
-    [2928, 2988, 3168],
-    [2925, 2985, 3165],
-    [3165, 3169, 3240],
-    [2989, 3064, 3240, 3169],
-    [2985, 3051, 3240, 3165],
-    [3051, 3064, 3240],
-    [2925, 2929, 3169, 3165],
-    [2929, 2989, 3169],
-    [3166, 3170, 3241],
-    [2990, 3063, 3241, 3170],
-    [2986, 3052, 3241, 3166],
-    [3052, 3063, 3241],
-    [2926, 2930, 3170, 3166],
-    [2930, 2990, 3170],
-    [2926, 2986, 3166],
-    [3166, 3171, 3243],
-    [2991, 3066, 3243, 3171],
-    [2986, 3054, 3243, 3166],
-    [3054, 3066, 3243],
-    [2926, 2931, 3171, 3166],
-    [2931, 2991, 3171],
-    [3167, 3172, 3246],
-    [2992, 3069, 3246, 3172],
-    [2987, 3057, 3246, 3167],
-    [3057, 3069, 3246],
-    [2927, 2932, 3172, 3167],
-    [2932, 2992, 3172],
-    [2927, 2987, 3167],
-    [3167, 3173, 3248],
-    [2993, 3071, 3248, 3173],
-    [2987, 3059, 3248, 3167],
-    [3059, 3071, 3248],
-    [2927, 2933, 3173, 3167],
-    [2933, 2993, 3173],
-    [3180, 3181, 3261],
-    [2995, 3073, 3261, 3181],
-    [2994, 3072, 3261, 3180],
-    [3072, 3073, 3261],
-    [2940, 2941, 3181, 3180],
-    [2941, 2995, 3181],
-    [2940, 2994, 3180],
-    [3168, 3174, 3264],
-    [3000, 3090, 3264, 3174],
-    [2988, 3078, 3264, 3168],
-    [3078, 3090, 3264],
-    [2928, 2934, 3174, 3168],
-    [2934, 3000, 3174],
-    [3169, 3175, 3265],
-    [3001, 3092, 3265, 3175],
-    [2989, 3080, 3265, 3169],
-    [3080, 3092, 3265],
-    [2929, 2935, 3175, 3169],
-    [2935, 3001, 3175],
-    [3170, 3176, 3266],
-    [3002, 3091, 3266, 3176],
-    [2990, 3079, 3266, 3170],
-    [3079, 3091, 3266],
-    [2930, 2936, 3176, 3170],
-    [2936, 3002, 3176],
-    [3171, 3177, 3267],
-    [3003, 3093, 3267, 3177],
-    [2991, 3081, 3267, 3171],
-    [3081, 3093, 3267],
-    [2931, 2937, 3177, 3171],
-    [2937, 3003, 3177],
-    [3182, 3183, 3262],
-    [2997, 3075, 3262, 3183],
-    [2996, 3074, 3262, 3182],
-    [3074, 3075, 3262],
-    [2942, 2943, 3183, 3182],
-    [2943, 2997, 3183],
-    [2942, 2996, 3182],
-    [3184, 3185, 3263],
-    [2999, 3077, 3263, 3185],
-    [2998, 3076, 3263, 3184],
-    [3076, 3077, 3263],
-    [2944, 2945, 3185, 3184],
-    [2945, 2999, 3185],
-    [2944, 2998, 3184],
-    [3172, 3178, 3268],
-    [3004, 3094, 3268, 3178],
-    [2992, 3082, 3268, 3172],
-    [3082, 3094, 3268],
-    [2932, 2938, 3178, 3172],
-    [2938, 3004, 3178],
-    [3173, 3179, 3269],
-    [3005, 3095, 3269, 3179],
-    [2993, 3083, 3269, 3173],
-    [3083, 3095, 3269],
-    [2933, 2939, 3179, 3173],
-    [2939, 3005, 3179],
-    [3180, 3186, 3270],
-    [3006, 3096, 3270, 3186],
-    [2994, 3084, 3270, 3180],
-    [3084, 3096, 3270],
-    [2940, 2946, 3186, 3180],
-    [2946, 3006, 3186],
-    [3181, 3187, 3271],
-    [3007, 3097, 3271, 3187],
-    [2995, 3085, 3271, 3181],
-    [3085, 3097, 3271],
-    [2941, 2947, 3187, 3181],
-    [2947, 3007, 3187],
-    [3174, 3175, 3276],
-    [3001, 3103, 3276, 3175],
-    [3000, 3102, 3276, 3174],
-    [3102, 3103, 3276],
-    [2934, 2935, 3175, 3174],
-    [3176, 3177, 3277],
-    [3003, 3105, 3277, 3177],
-    [3002, 3104, 3277, 3176],
-    [3104, 3105, 3277],
-    [2936, 2937, 3177, 3176],
-    [3182, 3188, 3272],
-    [3008, 3098, 3272, 3188],
-    [2996, 3086, 3272, 3182],
-    [3086, 3098, 3272],
-    [2942, 2948, 3188, 3182],
-    [2948, 3008, 3188],
-    [3183, 3189, 3273],
-    [3009, 3100, 3273, 3189],
-    [2997, 3088, 3273, 3183],
-    [3088, 3100, 3273],
-    [2943, 2949, 3189, 3183],
-    [2949, 3009, 3189],
-    [3184, 3190, 3274],
-    [3010, 3099, 3274, 3190],
-    [2998, 3087, 3274, 3184],
-    [3087, 3099, 3274],
-    [2944, 2950, 3190, 3184],
-    [2950, 3010, 3190],
-    [3185, 3191, 3275],
-    [3011, 3101, 3275, 3191],
-    [2999, 3089, 3275, 3185],
-    [3089, 3101, 3275],
-    [2945, 2951, 3191, 3185],
-    [2951, 3011, 3191],
-    [3178, 3179, 3278],
-    [3005, 3107, 3278, 3179],
-    [3004, 3106, 3278, 3178],
-    [3106, 3107, 3278],
-    [2938, 2939, 3179, 3178],
-    [3186, 3192, 3291],
-    [3012, 3120, 3291, 3192],
-    [3006, 3108, 3291, 3186],
-    [3108, 3120, 3291],
-    [2946, 2952, 3192, 3186],
-    [2952, 3012, 3192],
-    [3187, 3192, 3293],
-    [3012, 3122, 3293, 3192],
-    [3007, 3110, 3293, 3187],
-    [3110, 3122, 3293],
-    [2947, 2952, 3192, 3187],
-    [3188, 3193, 3296],
-    [3013, 3125, 3296, 3193],
-    [3008, 3113, 3296, 3188],
-    [3113, 3125, 3296],
-    [2948, 2953, 3193, 3188],
-    [2953, 3013, 3193],
-    [3189, 3193, 3298],
-    [3013, 3127, 3298, 3193],
-    [3009, 3116, 3298, 3189],
-    [3116, 3127, 3298],
-    [2949, 2953, 3193, 3189],
-    [3190, 3194, 3299],
-    [3014, 3128, 3299, 3194],
-    [3010, 3115, 3299, 3190],
-    [3115, 3128, 3299],
-    [2950, 2954, 3194, 3190],
-    [2954, 3014, 3194],
-    [3191, 3194, 3301],
-    [3014, 3130, 3301, 3194],
-    [3011, 3118, 3301, 3191],
-    [3118, 3130, 3301],
-    [2951, 2954, 3194, 3191],
-    [3195, 3196, 3303],
-    [3016, 3111, 3303, 3196],
-    [3015, 3109, 3303, 3195],
-    [3109, 3111, 3303],
-    [2955, 2956, 3196, 3195],
-    [2956, 3016, 3196],
-    [2955, 3015, 3195],
-    [3197, 3198, 3304],
-    [3018, 3114, 3304, 3198],
-    [3017, 3112, 3304, 3197],
-    [3112, 3114, 3304],
-    [2957, 2958, 3198, 3197],
-    [2958, 3018, 3198],
-    [2957, 3017, 3197],
-    [3199, 3200, 3305],
-    [3020, 3119, 3305, 3200],
-    [3019, 3117, 3305, 3199],
-    [3117, 3119, 3305],
-    [2959, 2960, 3200, 3199],
-    [2960, 3020, 3200],
-    [2959, 3019, 3199],
-    [3195, 3201, 3307],
-    [3021, 3132, 3307, 3201],
-    [3015, 3121, 3307, 3195],
-    [3121, 3132, 3307],
-    [2955, 2961, 3201, 3195],
-    [2961, 3021, 3201],
-    [3197, 3203, 3309],
-    [3022, 3133, 3309, 3203],
-    [3017, 3123, 3309, 3197],
-    [3123, 3133, 3309],
-    [2957, 2963, 3203, 3197],
-    [2963, 3022, 3203],
-    [3196, 3202, 3310],
-    [3023, 3134, 3310, 3202],
-    [3016, 3124, 3310, 3196],
-    [3124, 3134, 3310],
-    [2956, 2962, 3202, 3196],
-    [2962, 3023, 3202],
-    [3198, 3204, 3312],
-    [3024, 3135, 3312, 3204],
-    [3018, 3126, 3312, 3198],
-    [3126, 3135, 3312],
-    [2958, 2964, 3204, 3198],
-    [2964, 3024, 3204],
-    [3199, 3205, 3315],
-    [3025, 3136, 3315, 3205],
-    [3019, 3129, 3315, 3199],
-    [3129, 3136, 3315],
-    [2959, 2965, 3205, 3199],
-    [2965, 3025, 3205],
-    [3200, 3206, 3317],
-    [3026, 3137, 3317, 3206],
-    [3020, 3131, 3317, 3200],
-    [3131, 3137, 3317],
-    [2960, 2966, 3206, 3200],
-    [2966, 3026, 3206],
-    [3201, 3207, 3321],
-    [3027, 3144, 3321, 3207],
-    [3021, 3138, 3321, 3201],
-    [3138, 3144, 3321],
-    [2961, 2967, 3207, 3201],
-    [2967, 3027, 3207],
-    [3203, 3208, 3322],
-    [3028, 3145, 3322, 3208],
-    [3022, 3139, 3322, 3203],
-    [3139, 3145, 3322],
-    [2963, 2968, 3208, 3203],
-    [2968, 3028, 3208],
-    [3202, 3207, 3323],
-    [3027, 3146, 3323, 3207],
-    [3023, 3140, 3323, 3202],
-    [3140, 3146, 3323],
-    [2962, 2967, 3207, 3202],
-    [3204, 3208, 3324],
-    [3028, 3147, 3324, 3208],
-    [3024, 3142, 3324, 3204],
-    [3142, 3147, 3324],
-    [2964, 2968, 3208, 3204],
-    [3205, 3209, 3325],
-    [3029, 3148, 3325, 3209],
-    [3025, 3141, 3325, 3205],
-    [3141, 3148, 3325],
-    [2965, 2969, 3209, 3205],
-    [2969, 3029, 3209],
-    [3206, 3209, 3326],
-    [3029, 3149, 3326, 3209],
-    [3026, 3143, 3326, 3206],
-    [3143, 3149, 3326],
-    [2966, 2969, 3209, 3206],
-    [3150, 3153, 3159, 3160, 3154],
-    [3151, 3155, 3161, 3162, 3156],
-    [3152, 3157, 3163, 3164, 3158],
-    [3165, 3168, 3174, 3175, 3169],
-    [3166, 3170, 3176, 3177, 3171],
-    [3167, 3172, 3178, 3179, 3173],
-    [3180, 3181, 3187, 3192, 3186],
-    [3182, 3183, 3189, 3193, 3188],
-    [3184, 3185, 3191, 3194, 3190],
-    [3195, 3196, 3202, 3207, 3201],
-    [3197, 3198, 3204, 3208, 3203],
-    [3199, 3200, 3206, 3209, 3205],
-    [3030, 3210, 3330, 3213],
-    [3031, 3211, 3331, 3214],
-    [3210, 3211, 3331, 3330],
-    [3150, 3213, 3330, 3331, 3214],
-    [3034, 3212, 3334, 3217],
-    [3210, 3212, 3334, 3332],
-    [3032, 3210, 3332, 3215],
-    [3151, 3215, 3332, 3334, 3217],
-    [3035, 3212, 3335, 3218],
-    [3033, 3211, 3333, 3216],
-    [3211, 3212, 3335, 3333],
-    [3152, 3216, 3333, 3335, 3218],
-    [3036, 3213, 3336, 3219],
-    [3042, 3222, 3342, 3223],
-    [3153, 3213, 3336, 3342, 3222],
-    [3219, 3223, 3342, 3336],
-    [3043, 3224, 3343, 3226],
-    [3038, 3214, 3338, 3220],
-    [3154, 3214, 3338, 3343, 3224],
-    [3220, 3226, 3343, 3338],
-    [3037, 3215, 3337, 3219],
-    [3044, 3225, 3344, 3227],
-    [3219, 3225, 3344, 3337],
-    [3155, 3215, 3337, 3344, 3227],
-    [3039, 3216, 3339, 3220],
-    [3045, 3228, 3345, 3229],
-    [3157, 3216, 3339, 3345, 3229],
-    [3220, 3228, 3345, 3339],
-    [3040, 3217, 3340, 3221],
-    [3046, 3230, 3346, 3231],
-    [3221, 3231, 3346, 3340],
-    [3156, 3217, 3340, 3346, 3230],
-    [3047, 3232, 3347, 3233],
-    [3041, 3218, 3341, 3221],
-    [3158, 3218, 3341, 3347, 3232],
-    [3221, 3233, 3347, 3341],
-    [3048, 3222, 3348, 3237],
-    [3060, 3234, 3360, 3249],
-    [3237, 3249, 3360, 3348],
-    [3159, 3222, 3348, 3360, 3234],
-    [3050, 3224, 3350, 3239],
-    [3062, 3234, 3361, 3250],
-    [3160, 3224, 3350, 3361, 3234],
-    [3239, 3250, 3361, 3350],
-    [3049, 3223, 3349, 3238],
-    [3051, 3225, 3351, 3240],
-    [3223, 3225, 3351, 3349],
-    [3165, 3238, 3349, 3351, 3240],
-    [3052, 3226, 3352, 3241],
-    [3054, 3228, 3354, 3243],
-    [3226, 3228, 3354, 3352],
-    [3166, 3241, 3352, 3354, 3243],
-    [3053, 3227, 3353, 3242],
-    [3065, 3235, 3362, 3251],
-    [3161, 3227, 3353, 3362, 3235],
-    [3242, 3251, 3362, 3353],
-    [3056, 3230, 3356, 3245],
-    [3067, 3235, 3363, 3252],
-    [3162, 3230, 3356, 3363, 3235],
-    [3245, 3252, 3363, 3356],
-    [3068, 3236, 3364, 3253],
-    [3055, 3229, 3355, 3244],
-    [3163, 3229, 3355, 3364, 3236],
-    [3244, 3253, 3364, 3355],
-    [3058, 3232, 3358, 3247],
-    [3070, 3236, 3365, 3254],
-    [3247, 3254, 3365, 3358],
-    [3164, 3232, 3358, 3365, 3236],
-    [3059, 3233, 3359, 3248],
-    [3057, 3231, 3357, 3246],
-    [3231, 3233, 3359, 3357],
-    [3167, 3246, 3357, 3359, 3248],
-    [3078, 3255, 3378, 3264],
-    [3237, 3255, 3378, 3366],
-    [3061, 3237, 3366, 3238],
-    [3168, 3238, 3366, 3378, 3264],
-    [3063, 3239, 3367, 3241],
-    [3079, 3256, 3379, 3266],
-    [3239, 3256, 3379, 3367],
-    [3170, 3241, 3367, 3379, 3266],
-    [3064, 3240, 3368, 3242],
-    [3080, 3257, 3380, 3265],
-    [3169, 3240, 3368, 3380, 3265],
-    [3242, 3257, 3380, 3368],
-    [3066, 3243, 3369, 3244],
-    [3244, 3258, 3381, 3369],
-    [3081, 3258, 3381, 3267],
-    [3171, 3243, 3369, 3381, 3267],
-    [3069, 3245, 3370, 3246],
-    [3082, 3259, 3382, 3268],
-    [3172, 3246, 3370, 3382, 3268],
-    [3245, 3259, 3382, 3370],
-    [3071, 3247, 3371, 3248],
-    [3083, 3260, 3383, 3269],
-    [3173, 3248, 3371, 3383, 3269],
-    [3247, 3260, 3383, 3371],
-    [3084, 3255, 3384, 3270],
-    [3072, 3249, 3372, 3261],
-    [3249, 3255, 3384, 3372],
-    [3180, 3261, 3372, 3384, 3270],
-    [3073, 3250, 3373, 3261],
-    [3085, 3256, 3385, 3271],
-    [3181, 3261, 3373, 3385, 3271],
-    [3250, 3256, 3385, 3373],
-    [3074, 3251, 3374, 3262],
-    [3086, 3257, 3386, 3272],
-    [3251, 3257, 3386, 3374],
-    [3182, 3262, 3374, 3386, 3272],
-    [3088, 3259, 3387, 3273],
-    [3252, 3259, 3387, 3375],
-    [3075, 3252, 3375, 3262],
-    [3183, 3262, 3375, 3387, 3273],
-    [3076, 3253, 3376, 3263],
-    [3087, 3258, 3388, 3274],
-    [3184, 3263, 3376, 3388, 3274],
-    [3253, 3258, 3388, 3376],
-    [3089, 3260, 3389, 3275],
-    [3077, 3254, 3377, 3263],
-    [3254, 3260, 3389, 3377],
-    [3185, 3263, 3377, 3389, 3275],
-    [3090, 3264, 3390, 3279],
-    [3102, 3276, 3402, 3285],
-    [3279, 3285, 3402, 3390],
-    [3174, 3264, 3390, 3402, 3276],
-    [3103, 3276, 3403, 3286],
-    [3092, 3265, 3391, 3281],
-    [3175, 3265, 3391, 3403, 3276],
-    [3281, 3286, 3403, 3391],
-    [3091, 3266, 3392, 3280],
-    [3280, 3287, 3404, 3392],
-    [3104, 3277, 3404, 3287],
-    [3176, 3266, 3392, 3404, 3277],
-    [3093, 3267, 3393, 3282],
-    [3105, 3277, 3405, 3288],
-    [3282, 3288, 3405, 3393],
-    [3177, 3267, 3393, 3405, 3277],
-    [3106, 3278, 3406, 3289],
-    [3094, 3268, 3394, 3283],
-    [3178, 3268, 3394, 3406, 3278],
-    [3283, 3289, 3406, 3394],
-    [3095, 3269, 3395, 3284],
-    [3107, 3278, 3407, 3290],
-    [3284, 3290, 3407, 3395],
-    [3179, 3269, 3395, 3407, 3278],
-    [3108, 3291, 3408, 3292],
-    [3096, 3270, 3396, 3279],
-    [3186, 3270, 3396, 3408, 3291],
-    [3279, 3292, 3408, 3396],
-    [3110, 3293, 3409, 3294],
-    [3097, 3271, 3397, 3280],
-    [3187, 3271, 3397, 3409, 3293],
-    [3280, 3294, 3409, 3397],
-    [3113, 3295, 3410, 3296],
-    [3281, 3295, 3410, 3398],
-    [3098, 3272, 3398, 3281],
-    [3188, 3272, 3398, 3410, 3296],
-    [3115, 3297, 3411, 3299],
-    [3099, 3274, 3399, 3282],
-    [3190, 3274, 3399, 3411, 3299],
-    [3282, 3297, 3411, 3399],
-    [3116, 3298, 3412, 3300],
-    [3100, 3273, 3400, 3283],
-    [3283, 3300, 3412, 3400],
-    [3189, 3273, 3400, 3412, 3298],
-    [3101, 3275, 3401, 3284],
-    [3284, 3302, 3413, 3401],
-    [3118, 3301, 3413, 3302],
-    [3191, 3275, 3401, 3413, 3301],
-    [3120, 3291, 3420, 3306],
-    [3122, 3293, 3422, 3308],
-    [3306, 3308, 3422, 3420],
-    [3192, 3291, 3420, 3422, 3293],
-    [3121, 3292, 3421, 3307],
-    [3109, 3285, 3414, 3303],
-    [3285, 3292, 3421, 3414],
-    [3195, 3303, 3414, 3421, 3307],
-    [3111, 3286, 3415, 3303],
-    [3124, 3295, 3424, 3310],
-    [3196, 3303, 3415, 3424, 3310],
-    [3286, 3295, 3424, 3415],
-    [3123, 3294, 3423, 3309],
-    [3112, 3287, 3416, 3304],
-    [3197, 3304, 3416, 3423, 3309],
-    [3287, 3294, 3423, 3416],
-    [3126, 3297, 3426, 3312],
-    [3114, 3288, 3417, 3304],
-    [3198, 3304, 3417, 3426, 3312],
-    [3288, 3297, 3426, 3417],
-    [3127, 3298, 3427, 3313],
-    [3125, 3296, 3425, 3311],
-    [3311, 3313, 3427, 3425],
-    [3193, 3296, 3425, 3427, 3298],
-    [3130, 3301, 3430, 3316],
-    [3128, 3299, 3428, 3314],
-    [3314, 3316, 3430, 3428],
-    [3194, 3299, 3428, 3430, 3301],
-    [3129, 3300, 3429, 3315],
-    [3117, 3289, 3418, 3305],
-    [3199, 3305, 3418, 3429, 3315],
-    [3289, 3300, 3429, 3418],
-    [3131, 3302, 3431, 3317],
-    [3119, 3290, 3419, 3305],
-    [3290, 3302, 3431, 3419],
-    [3200, 3305, 3419, 3431, 3317],
-    [3132, 3306, 3432, 3307],
-    [3138, 3318, 3438, 3321],
-    [3201, 3307, 3432, 3438, 3321],
-    [3306, 3318, 3438, 3432],
-    [3139, 3318, 3439, 3322],
-    [3133, 3308, 3433, 3309],
-    [3308, 3318, 3439, 3433],
-    [3203, 3309, 3433, 3439, 3322],
-    [3140, 3319, 3440, 3323],
-    [3134, 3310, 3434, 3311],
-    [3202, 3310, 3434, 3440, 3323],
-    [3311, 3319, 3440, 3434],
-    [3142, 3320, 3442, 3324],
-    [3135, 3312, 3435, 3314],
-    [3314, 3320, 3442, 3435],
-    [3204, 3312, 3435, 3442, 3324],
-    [3136, 3313, 3436, 3315],
-    [3141, 3319, 3441, 3325],
-    [3205, 3315, 3436, 3441, 3325],
-    [3313, 3319, 3441, 3436],
-    [3137, 3316, 3437, 3317],
-    [3143, 3320, 3443, 3326],
-    [3206, 3317, 3437, 3443, 3326],
-    [3316, 3320, 3443, 3437],
-    [3144, 3321, 3444, 3327],
-    [3146, 3323, 3446, 3328],
-    [3327, 3328, 3446, 3444],
-    [3207, 3321, 3444, 3446, 3323],
-    [3145, 3322, 3445, 3327],
-    [3327, 3329, 3447, 3445],
-    [3147, 3324, 3447, 3329],
-    [3208, 3322, 3445, 3447, 3324],
-    [3149, 3326, 3449, 3329],
-    [3148, 3325, 3448, 3328],
-    [3328, 3329, 3449, 3448],
-    [3209, 3325, 3448, 3449, 3326],
-    [3330, 3332, 3337, 3336],
-    [3219, 3336, 3337],
-    [3215, 3332, 3337],
-    [3213, 3330, 3336],
-    [3210, 3330, 3332],
-    [3331, 3333, 3339, 3338],
-    [3220, 3338, 3339],
-    [3216, 3333, 3339],
-    [3214, 3331, 3338],
-    [3211, 3331, 3333],
-    [3334, 3335, 3341, 3340],
-    [3221, 3340, 3341],
-    [3218, 3335, 3341],
-    [3217, 3334, 3340],
-    [3212, 3334, 3335],
-    [3342, 3348, 3366, 3349],
-    [3238, 3349, 3366],
-    [3237, 3348, 3366],
-    [3223, 3342, 3349],
-    [3222, 3342, 3348],
-    [3343, 3350, 3367, 3352],
-    [3241, 3352, 3367],
-    [3239, 3350, 3367],
-    [3226, 3343, 3352],
-    [3224, 3343, 3350],
-    [3344, 3351, 3368, 3353],
-    [3242, 3353, 3368],
-    [3240, 3351, 3368],
-    [3227, 3344, 3353],
-    [3225, 3344, 3351],
-    [3345, 3354, 3369, 3355],
-    [3244, 3355, 3369],
-    [3243, 3354, 3369],
-    [3229, 3345, 3355],
-    [3228, 3345, 3354],
-    [3346, 3356, 3370, 3357],
-    [3246, 3357, 3370],
-    [3245, 3356, 3370],
-    [3231, 3346, 3357],
-    [3230, 3346, 3356],
-    [3347, 3358, 3371, 3359],
-    [3248, 3359, 3371],
-    [3247, 3358, 3371],
-    [3233, 3347, 3359],
-    [3232, 3347, 3358],
-    [3360, 3361, 3373, 3372],
-    [3261, 3372, 3373],
-    [3250, 3361, 3373],
-    [3249, 3360, 3372],
-    [3234, 3360, 3361],
-    [3362, 3363, 3375, 3374],
-    [3262, 3374, 3375],
-    [3252, 3363, 3375],
-    [3251, 3362, 3374],
-    [3235, 3362, 3363],
-    [3364, 3365, 3377, 3376],
-    [3263, 3376, 3377],
-    [3254, 3365, 3377],
-    [3253, 3364, 3376],
-    [3236, 3364, 3365],
-    [3378, 3384, 3396, 3390],
-    [3279, 3390, 3396],
-    [3270, 3384, 3396],
-    [3264, 3378, 3390],
-    [3255, 3378, 3384],
-    [3379, 3385, 3397, 3392],
-    [3280, 3392, 3397],
-    [3271, 3385, 3397],
-    [3266, 3379, 3392],
-    [3256, 3379, 3385],
-    [3380, 3386, 3398, 3391],
-    [3281, 3391, 3398],
-    [3272, 3386, 3398],
-    [3265, 3380, 3391],
-    [3257, 3380, 3386],
-    [3381, 3388, 3399, 3393],
-    [3282, 3393, 3399],
-    [3274, 3388, 3399],
-    [3267, 3381, 3393],
-    [3258, 3381, 3388],
-    [3382, 3387, 3400, 3394],
-    [3283, 3394, 3400],
-    [3273, 3387, 3400],
-    [3268, 3382, 3394],
-    [3259, 3382, 3387],
-    [3383, 3389, 3401, 3395],
-    [3284, 3395, 3401],
-    [3275, 3389, 3401],
-    [3269, 3383, 3395],
-    [3260, 3383, 3389],
-    [3402, 3403, 3415, 3414],
-    [3303, 3414, 3415],
-    [3286, 3403, 3415],
-    [3285, 3402, 3414],
-    [3276, 3402, 3403],
-    [3404, 3405, 3417, 3416],
-    [3304, 3416, 3417],
-    [3288, 3405, 3417],
-    [3287, 3404, 3416],
-    [3277, 3404, 3405],
-    [3406, 3407, 3419, 3418],
-    [3305, 3418, 3419],
-    [3290, 3407, 3419],
-    [3289, 3406, 3418],
-    [3278, 3406, 3407],
-    [3408, 3420, 3432, 3421],
-    [3307, 3421, 3432],
-    [3306, 3420, 3432],
-    [3292, 3408, 3421],
-    [3291, 3408, 3420],
-    [3409, 3422, 3433, 3423],
-    [3309, 3423, 3433],
-    [3308, 3422, 3433],
-    [3294, 3409, 3423],
-    [3293, 3409, 3422],
-    [3410, 3424, 3434, 3425],
-    [3311, 3425, 3434],
-    [3310, 3424, 3434],
-    [3296, 3410, 3425],
-    [3295, 3410, 3424],
-    [3411, 3426, 3435, 3428],
-    [3314, 3428, 3435],
-    [3312, 3426, 3435],
-    [3299, 3411, 3428],
-    [3297, 3411, 3426],
-    [3412, 3427, 3436, 3429],
-    [3315, 3429, 3436],
-    [3313, 3427, 3436],
-    [3300, 3412, 3429],
-    [3298, 3412, 3427],
-    [3413, 3430, 3437, 3431],
-    [3317, 3431, 3437],
-    [3316, 3430, 3437],
-    [3302, 3413, 3431],
-    [3301, 3413, 3430],
-    [3438, 3439, 3445, 3444],
-    [3327, 3444, 3445],
-    [3322, 3439, 3445],
-    [3321, 3438, 3444],
-    [3318, 3438, 3439],
-    [3440, 3441, 3448, 3446],
-    [3328, 3446, 3448],
-    [3325, 3441, 3448],
-    [3323, 3440, 3446],
-    [3319, 3440, 3441],
-    [3442, 3443, 3449, 3447],
-    [3329, 3447, 3449],
-    [3326, 3443, 3449],
-    [3324, 3442, 3447],
-    [3320, 3442, 3443],
-    [3450, 3451, 3452],
-    [3334, 3335, 3452, 3451],
-    [3331, 3333, 3452, 3450],
-    [3333, 3335, 3452],
-    [3330, 3332, 3451, 3450],
-    [3332, 3334, 3451],
-    [3330, 3331, 3450],
-    [3453, 3454, 3459],
-    [3344, 3351, 3459, 3454],
-    [3342, 3349, 3459, 3453],
-    [3349, 3351, 3459],
-    [3336, 3337, 3454, 3453],
-    [3337, 3344, 3454],
-    [3336, 3342, 3453],
-    [3455, 3456, 3460],
-    [3345, 3354, 3460, 3456],
-    [3343, 3352, 3460, 3455],
-    [3352, 3354, 3460],
-    [3338, 3339, 3456, 3455],
-    [3339, 3345, 3456],
-    [3338, 3343, 3455],
-    [3457, 3458, 3461],
-    [3347, 3359, 3461, 3458],
-    [3346, 3357, 3461, 3457],
-    [3357, 3359, 3461],
-    [3340, 3341, 3458, 3457],
-    [3341, 3347, 3458],
-    [3340, 3346, 3457],
-    [3462, 3468, 3474],
-    [3378, 3384, 3474, 3468],
-    [3360, 3372, 3474, 3462],
-    [3372, 3384, 3474],
-    [3348, 3366, 3468, 3462],
-    [3366, 3378, 3468],
-    [3348, 3360, 3462],
-    [3463, 3469, 3475],
-    [3379, 3385, 3475, 3469],
-    [3361, 3373, 3475, 3463],
-    [3373, 3385, 3475],
-    [3350, 3367, 3469, 3463],
-    [3367, 3379, 3469],
-    [3350, 3361, 3463],
-    [3464, 3470, 3476],
-    [3380, 3386, 3476, 3470],
-    [3362, 3374, 3476, 3464],
-    [3374, 3386, 3476],
-    [3353, 3368, 3470, 3464],
-    [3368, 3380, 3470],
-    [3353, 3362, 3464],
-    [3466, 3471, 3478],
-    [3381, 3388, 3478, 3471],
-    [3364, 3376, 3478, 3466],
-    [3376, 3388, 3478],
-    [3355, 3369, 3471, 3466],
-    [3369, 3381, 3471],
-    [3355, 3364, 3466],
-    [3465, 3472, 3477],
-    [3382, 3387, 3477, 3472],
-    [3363, 3375, 3477, 3465],
-    [3375, 3387, 3477],
-    [3356, 3370, 3472, 3465],
-    [3370, 3382, 3472],
-    [3356, 3363, 3465],
-    [3467, 3473, 3479],
-    [3383, 3389, 3479, 3473],
-    [3365, 3377, 3479, 3467],
-    [3377, 3389, 3479],
-    [3358, 3371, 3473, 3467],
-    [3371, 3383, 3473],
-    [3358, 3365, 3467],
-    [3480, 3486, 3492],
-    [3408, 3421, 3492, 3486],
-    [3402, 3414, 3492, 3480],
-    [3414, 3421, 3492],
-    [3390, 3396, 3486, 3480],
-    [3396, 3408, 3486],
-    [3390, 3402, 3480],
-    [3482, 3487, 3494],
-    [3409, 3423, 3494, 3487],
-    [3404, 3416, 3494, 3482],
-    [3416, 3423, 3494],
-    [3392, 3397, 3487, 3482],
-    [3397, 3409, 3487],
-    [3392, 3404, 3482],
-    [3481, 3488, 3493],
-    [3410, 3424, 3493, 3488],
-    [3403, 3415, 3493, 3481],
-    [3415, 3424, 3493],
-    [3391, 3398, 3488, 3481],
-    [3398, 3410, 3488],
-    [3391, 3403, 3481],
-    [3483, 3489, 3495],
-    [3411, 3426, 3495, 3489],
-    [3405, 3417, 3495, 3483],
-    [3417, 3426, 3495],
-    [3393, 3399, 3489, 3483],
-    [3399, 3411, 3489],
-    [3393, 3405, 3483],
-    [3484, 3490, 3496],
-    [3412, 3429, 3496, 3490],
-    [3406, 3418, 3496, 3484],
-    [3418, 3429, 3496],
-    [3394, 3400, 3490, 3484],
-    [3400, 3412, 3490],
-    [3394, 3406, 3484],
-    [3485, 3491, 3497],
-    [3413, 3431, 3497, 3491],
-    [3407, 3419, 3497, 3485],
-    [3419, 3431, 3497],
-    [3395, 3401, 3491, 3485],
-    [3401, 3413, 3491],
-    [3395, 3407, 3485],
-    [3498, 3501, 3502],
-    [3438, 3439, 3502, 3501],
-    [3422, 3433, 3502, 3498],
-    [3433, 3439, 3502],
-    [3420, 3432, 3501, 3498],
-    [3432, 3438, 3501],
-    [3420, 3422, 3498],
-    [3499, 3503, 3504],
-    [3440, 3441, 3504, 3503],
-    [3427, 3436, 3504, 3499],
-    [3436, 3441, 3504],
-    [3425, 3434, 3503, 3499],
-    [3434, 3440, 3503],
-    [3425, 3427, 3499],
-    [3500, 3505, 3506],
-    [3442, 3443, 3506, 3505],
-    [3430, 3437, 3506, 3500],
-    [3437, 3443, 3506],
-    [3428, 3435, 3505, 3500],
-    [3435, 3442, 3505],
-    [3428, 3430, 3500],
-    [3507, 3508, 3509],
-    [3447, 3449, 3509, 3508],
-    [3446, 3448, 3509, 3507],
-    [3448, 3449, 3509],
-    [3444, 3445, 3508, 3507],
-    [3445, 3447, 3508],
-    [3444, 3446, 3507],
-    [3510, 3511, 3517, 3522, 3516],
-    [3463, 3517, 3522],
-    [3462, 3516, 3522],
-    [3360, 3361, 3463, 3522, 3462],
-    [3455, 3511, 3517],
-    [3343, 3350, 3463, 3517, 3455],
-    [3453, 3510, 3516],
-    [3342, 3348, 3462, 3516, 3453],
-    [3450, 3510, 3511],
-    [3331, 3338, 3455, 3511, 3450],
-    [3330, 3336, 3453, 3510, 3450],
-    [3512, 3514, 3520, 3523, 3518],
-    [3465, 3520, 3523],
-    [3464, 3518, 3523],
-    [3362, 3363, 3465, 3523, 3464],
-    [3457, 3514, 3520],
-    [3346, 3356, 3465, 3520, 3457],
-    [3454, 3512, 3518],
-    [3344, 3353, 3464, 3518, 3454],
-    [3451, 3512, 3514],
-    [3334, 3340, 3457, 3514, 3451],
-    [3332, 3337, 3454, 3512, 3451],
-    [3513, 3515, 3521, 3524, 3519],
-    [3467, 3521, 3524],
-    [3466, 3519, 3524],
-    [3364, 3365, 3467, 3524, 3466],
-    [3458, 3515, 3521],
-    [3347, 3358, 3467, 3521, 3458],
-    [3456, 3513, 3519],
-    [3345, 3355, 3466, 3519, 3456],
-    [3452, 3513, 3515],
-    [3335, 3341, 3458, 3515, 3452],
-    [3333, 3339, 3456, 3513, 3452],
-    [3525, 3526, 3535, 3546, 3534],
-    [3481, 3535, 3546],
-    [3480, 3534, 3546],
-    [3402, 3403, 3481, 3546, 3480],
-    [3470, 3526, 3535],
-    [3380, 3391, 3481, 3535, 3470],
-    [3468, 3525, 3534],
-    [3378, 3390, 3480, 3534, 3468],
-    [3459, 3525, 3526],
-    [3351, 3368, 3470, 3526, 3459],
-    [3349, 3366, 3468, 3525, 3459],
-    [3527, 3528, 3537, 3547, 3536],
-    [3483, 3537, 3547],
-    [3482, 3536, 3547],
-    [3404, 3405, 3483, 3547, 3482],
-    [3471, 3528, 3537],
-    [3381, 3393, 3483, 3537, 3471],
-    [3469, 3527, 3536],
-    [3379, 3392, 3482, 3536, 3469],
-    [3460, 3527, 3528],
-    [3354, 3369, 3471, 3528, 3460],
-    [3352, 3367, 3469, 3527, 3460],
-    [3529, 3530, 3539, 3548, 3538],
-    [3485, 3539, 3548],
-    [3484, 3538, 3548],
-    [3406, 3407, 3485, 3548, 3484],
-    [3473, 3530, 3539],
-    [3383, 3395, 3485, 3539, 3473],
-    [3472, 3529, 3538],
-    [3382, 3394, 3484, 3538, 3472],
-    [3461, 3529, 3530],
-    [3359, 3371, 3473, 3530, 3461],
-    [3357, 3370, 3472, 3529, 3461],
-    [3531, 3540, 3549, 3550, 3541],
-    [3498, 3549, 3550],
-    [3487, 3541, 3550],
-    [3409, 3422, 3498, 3550, 3487],
-    [3486, 3540, 3549],
-    [3408, 3420, 3498, 3549, 3486],
-    [3475, 3531, 3541],
-    [3385, 3397, 3487, 3541, 3475],
-    [3474, 3531, 3540],
-    [3384, 3396, 3486, 3540, 3474],
-    [3372, 3373, 3475, 3531, 3474],
-    [3532, 3542, 3551, 3552, 3543],
-    [3499, 3551, 3552],
-    [3490, 3543, 3552],
-    [3412, 3427, 3499, 3552, 3490],
-    [3488, 3542, 3551],
-    [3410, 3425, 3499, 3551, 3488],
-    [3477, 3532, 3543],
-    [3387, 3400, 3490, 3543, 3477],
-    [3476, 3532, 3542],
-    [3386, 3398, 3488, 3542, 3476],
-    [3374, 3375, 3477, 3532, 3476],
-    [3533, 3544, 3553, 3554, 3545],
-    [3500, 3553, 3554],
-    [3491, 3545, 3554],
-    [3413, 3430, 3500, 3554, 3491],
-    [3489, 3544, 3553],
-    [3411, 3428, 3500, 3553, 3489],
-    [3479, 3533, 3545],
-    [3389, 3401, 3491, 3545, 3479],
-    [3478, 3533, 3544],
-    [3388, 3399, 3489, 3544, 3478],
-    [3376, 3377, 3479, 3533, 3478],
-    [3555, 3558, 3564, 3566, 3560],
-    [3507, 3564, 3566],
-    [3503, 3560, 3566],
-    [3440, 3446, 3507, 3566, 3503],
-    [3501, 3558, 3564],
-    [3438, 3444, 3507, 3564, 3501],
-    [3493, 3555, 3560],
-    [3424, 3434, 3503, 3560, 3493],
-    [3492, 3555, 3558],
-    [3421, 3432, 3501, 3558, 3492],
-    [3414, 3415, 3493, 3555, 3492],
-    [3556, 3559, 3565, 3567, 3561],
-    [3508, 3565, 3567],
-    [3505, 3561, 3567],
-    [3442, 3447, 3508, 3567, 3505],
-    [3502, 3559, 3565],
-    [3439, 3445, 3508, 3565, 3502],
-    [3495, 3556, 3561],
-    [3426, 3435, 3505, 3561, 3495],
-    [3494, 3556, 3559],
-    [3423, 3433, 3502, 3559, 3494],
-    [3416, 3417, 3495, 3556, 3494],
-    [3557, 3562, 3568, 3569, 3563],
-    [3509, 3568, 3569],
-    [3506, 3563, 3569],
-    [3443, 3449, 3509, 3569, 3506],
-    [3504, 3562, 3568],
-    [3441, 3448, 3509, 3568, 3504],
-    [3497, 3557, 3563],
-    [3431, 3437, 3506, 3563, 3497],
-    [3496, 3557, 3562],
-    [3429, 3436, 3504, 3562, 3496],
-    [3418, 3419, 3497, 3557, 3496],
-    [3450, 3451, 3512, 3510],
-    [3453, 3454, 3512, 3510],
-    [3450, 3452, 3513, 3511],
-    [3455, 3456, 3513, 3511],
-    [3451, 3452, 3515, 3514],
-    [3457, 3458, 3515, 3514],
-    [3462, 3468, 3525, 3516],
-    [3453, 3459, 3525, 3516],
-    [3455, 3460, 3527, 3517],
-    [3463, 3469, 3527, 3517],
-    [3454, 3459, 3526, 3518],
-    [3464, 3470, 3526, 3518],
-    [3456, 3460, 3528, 3519],
-    [3466, 3471, 3528, 3519],
-    [3457, 3461, 3529, 3520],
-    [3465, 3472, 3529, 3520],
-    [3458, 3461, 3530, 3521],
-    [3467, 3473, 3530, 3521],
-    [3462, 3474, 3531, 3522],
-    [3463, 3475, 3531, 3522],
-    [3465, 3477, 3532, 3523],
-    [3464, 3476, 3532, 3523],
-    [3467, 3479, 3533, 3524],
-    [3466, 3478, 3533, 3524],
-    [3468, 3474, 3540, 3534],
-    [3480, 3486, 3540, 3534],
-    [3469, 3475, 3541, 3536],
-    [3482, 3487, 3541, 3536],
-    [3481, 3488, 3542, 3535],
-    [3470, 3476, 3542, 3535],
-    [3471, 3478, 3544, 3537],
-    [3483, 3489, 3544, 3537],
-    [3484, 3490, 3543, 3538],
-    [3472, 3477, 3543, 3538],
-    [3485, 3491, 3545, 3539],
-    [3473, 3479, 3545, 3539],
-    [3480, 3492, 3555, 3546],
-    [3481, 3493, 3555, 3546],
-    [3482, 3494, 3556, 3547],
-    [3483, 3495, 3556, 3547],
-    [3485, 3497, 3557, 3548],
-    [3484, 3496, 3557, 3548],
-    [3486, 3492, 3558, 3549],
-    [3498, 3501, 3558, 3549],
-    [3498, 3502, 3559, 3550],
-    [3487, 3494, 3559, 3550],
-    [3499, 3503, 3560, 3551],
-    [3488, 3493, 3560, 3551],
-    [3500, 3505, 3561, 3553],
-    [3489, 3495, 3561, 3553],
-    [3490, 3496, 3562, 3552],
-    [3499, 3504, 3562, 3552],
-    [3491, 3497, 3563, 3554],
-    [3500, 3506, 3563, 3554],
-    [3507, 3508, 3565, 3564],
-    [3501, 3502, 3565, 3564],
-    [3507, 3509, 3568, 3566],
-    [3503, 3504, 3568, 3566],
-    [3508, 3509, 3569, 3567],
-    [3505, 3506, 3569, 3567],
-    [3570, 3571, 3572],
-    [3513, 3515, 3572, 3571],
-    [3512, 3514, 3572, 3570],
-    [3514, 3515, 3572],
-    [3510, 3511, 3571, 3570],
-    [3511, 3513, 3571],
-    [3510, 3512, 3570],
-    [3570, 3573, 3575],
-    [3525, 3526, 3575, 3573],
-    [3512, 3518, 3575, 3570],
-    [3518, 3526, 3575],
-    [3510, 3516, 3573, 3570],
-    [3516, 3525, 3573],
-    [3571, 3574, 3576],
-    [3527, 3528, 3576, 3574],
-    [3513, 3519, 3576, 3571],
-    [3519, 3528, 3576],
-    [3511, 3517, 3574, 3571],
-    [3517, 3527, 3574],
-    [3572, 3577, 3578],
-    [3529, 3530, 3578, 3577],
-    [3515, 3521, 3578, 3572],
-    [3521, 3530, 3578],
-    [3514, 3520, 3577, 3572],
-    [3520, 3529, 3577],
-    [3573, 3579, 3582],
-    [3531, 3540, 3582, 3579],
-    [3525, 3534, 3582, 3573],
-    [3534, 3540, 3582],
-    [3516, 3522, 3579, 3573],
-    [3522, 3531, 3579],
-    [3574, 3579, 3583],
-    [3531, 3541, 3583, 3579],
-    [3527, 3536, 3583, 3574],
-    [3536, 3541, 3583],
-    [3517, 3522, 3579, 3574],
-    [3575, 3580, 3584],
-    [3532, 3542, 3584, 3580],
-    [3526, 3535, 3584, 3575],
-    [3535, 3542, 3584],
-    [3518, 3523, 3580, 3575],
-    [3523, 3532, 3580],
-    [3576, 3581, 3585],
-    [3533, 3544, 3585, 3581],
-    [3528, 3537, 3585, 3576],
-    [3537, 3544, 3585],
-    [3519, 3524, 3581, 3576],
-    [3524, 3533, 3581],
-    [3577, 3580, 3586],
-    [3532, 3543, 3586, 3580],
-    [3529, 3538, 3586, 3577],
-    [3538, 3543, 3586],
-    [3520, 3523, 3580, 3577],
-    [3578, 3581, 3587],
-    [3533, 3545, 3587, 3581],
-    [3530, 3539, 3587, 3578],
-    [3539, 3545, 3587],
-    [3521, 3524, 3581, 3578],
-    [3582, 3588, 3591],
-    [3555, 3558, 3591, 3588],
-    [3540, 3549, 3591, 3582],
-    [3549, 3558, 3591],
-    [3534, 3546, 3588, 3582],
-    [3546, 3555, 3588],
-    [3583, 3589, 3592],
-    [3556, 3559, 3592, 3589],
-    [3541, 3550, 3592, 3583],
-    [3550, 3559, 3592],
-    [3536, 3547, 3589, 3583],
-    [3547, 3556, 3589],
-    [3584, 3588, 3593],
-    [3555, 3560, 3593, 3588],
-    [3542, 3551, 3593, 3584],
-    [3551, 3560, 3593],
-    [3535, 3546, 3588, 3584],
-    [3585, 3589, 3594],
-    [3556, 3561, 3594, 3589],
-    [3544, 3553, 3594, 3585],
-    [3553, 3561, 3594],
-    [3537, 3547, 3589, 3585],
-    [3586, 3590, 3595],
-    [3557, 3562, 3595, 3590],
-    [3543, 3552, 3595, 3586],
-    [3552, 3562, 3595],
-    [3538, 3548, 3590, 3586],
-    [3548, 3557, 3590],
-    [3587, 3590, 3596],
-    [3557, 3563, 3596, 3590],
-    [3545, 3554, 3596, 3587],
-    [3554, 3563, 3596],
-    [3539, 3548, 3590, 3587],
-    [3591, 3592, 3597],
-    [3559, 3565, 3597, 3592],
-    [3558, 3564, 3597, 3591],
-    [3564, 3565, 3597],
-    [3549, 3550, 3592, 3591],
-    [3593, 3595, 3598],
-    [3562, 3568, 3598, 3595],
-    [3560, 3566, 3598, 3593],
-    [3566, 3568, 3598],
-    [3551, 3552, 3595, 3593],
-    [3594, 3596, 3599],
-    [3563, 3569, 3599, 3596],
-    [3561, 3567, 3599, 3594],
-    [3567, 3569, 3599],
-    [3553, 3554, 3596, 3594],
-    [3597, 3598, 3599],
-    [3568, 3569, 3599, 3598],
-    [3565, 3567, 3599, 3597],
-    [3564, 3566, 3598, 3597],
-    [3570, 3571, 3574, 3579, 3573],
-    [3570, 3572, 3577, 3580, 3575],
-    [3571, 3572, 3578, 3581, 3576],
-    [3573, 3575, 3584, 3588, 3582],
-    [3574, 3576, 3585, 3589, 3583],
-    [3577, 3578, 3587, 3590, 3586],
-    [3579, 3582, 3591, 3592, 3583],
-    [3580, 3584, 3593, 3595, 3586],
-    [3581, 3585, 3594, 3596, 3587],
-    [3588, 3591, 3597, 3598, 3593],
-    [3589, 3592, 3597, 3599, 3594],
-    [3590, 3595, 3598, 3599, 3596],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31,
-    ],
-    [27, 32, 33, 34, 35, 36, 37],
-    [26, 38, 39, 40, 41, 42, 43],
-    [25, 44, 45, 46, 47, 48, 49],
-    [18, 50, 51, 52, 53, 54, 55],
-    [17, 56, 57, 58, 59, 60, 61],
-    [16, 62, 63, 64, 65, 66, 67],
-    [13, 68, 69, 70, 71, 72, 73],
-    [9, 74, 75, 76, 77, 78, 79],
-    [7, 80, 81, 82, 83, 84, 85],
-    [4, 86, 87, 88, 89, 90, 91],
-    [2, 92, 93, 94, 95, 96, 97],
-    [1, 98, 99, 100, 101, 102, 103],
-    [104, 105, 106, 107, 108, 109, 110, 111, 47, 38, 112, 113, 35, 31],
-    [114, 115, 116, 117, 118, 119, 120, 55, 121, 122, 43, 32, 113, 30],
-    [123, 124, 125, 126, 127, 128, 129, 57, 130, 131, 46, 33, 112, 29],
-    [132, 133, 134, 135, 136, 137, 138, 67, 139, 140, 44, 41, 111, 28],
-    [141, 142, 143, 144, 145, 146, 147, 148, 71, 50, 149, 122, 36, 24],
-    [150, 151, 152, 153, 154, 155, 156, 157, 70, 58, 149, 131, 34, 23],
-    [158, 159, 160, 161, 162, 163, 164, 165, 77, 51, 166, 121, 39, 22],
-    [167, 168, 169, 170, 171, 172, 173, 174, 82, 60, 175, 130, 45, 21],
-    [176, 177, 178, 179, 180, 181, 182, 183, 78, 63, 166, 140, 40, 20],
-    [184, 185, 186, 187, 188, 189, 190, 191, 83, 62, 175, 139, 49, 19],
-    [192, 193, 194, 195, 196, 197, 198, 91, 199, 200, 68, 53, 148, 15],
-    [201, 202, 203, 204, 205, 206, 207, 94, 208, 209, 69, 61, 157, 14],
-    [210, 211, 212, 213, 214, 215, 216, 87, 217, 200, 79, 52, 165, 12],
-    [218, 219, 220, 221, 222, 223, 224, 93, 225, 209, 81, 59, 174, 11],
-    [226, 227, 228, 229, 230, 231, 232, 99, 233, 234, 75, 64, 183, 10],
-    [235, 236, 237, 238, 239, 240, 241, 101, 242, 234, 80, 65, 191, 8],
-    [243, 244, 245, 246, 247, 248, 249, 250, 95, 86, 208, 199, 73, 6],
-    [251, 252, 253, 254, 255, 256, 257, 258, 100, 88, 233, 217, 76, 5],
-    [259, 260, 261, 262, 263, 264, 265, 266, 98, 97, 242, 225, 85, 3],
-    [267, 268, 269, 270, 271, 272, 273, 102, 266, 258, 92, 89, 250, 0],
-    [118, 108, 274, 275, 276, 277, 278],
-    [127, 106, 279, 280, 281, 282, 283],
-    [136, 105, 284, 285, 286, 287, 288],
-    [116, 145, 289, 290, 291, 292, 293],
-    [125, 154, 294, 295, 296, 297, 298],
-    [162, 115, 299, 300, 301, 302, 303],
-    [171, 124, 304, 305, 306, 307, 308],
-    [180, 134, 309, 310, 311, 312, 313],
-    [133, 188, 314, 315, 316, 317, 318],
-    [152, 143, 319, 320, 321, 322, 323],
-    [160, 178, 324, 325, 326, 327, 328],
-    [169, 186, 329, 330, 331, 332, 333],
-    [196, 142, 334, 335, 336, 337, 338],
-    [205, 151, 339, 340, 341, 342, 343],
-    [159, 214, 344, 345, 346, 347, 348],
-    [222, 168, 349, 350, 351, 352, 353],
-    [177, 230, 354, 355, 356, 357, 358],
-    [185, 239, 359, 360, 361, 362, 363],
-    [212, 194, 364, 365, 366, 367, 368],
-    [220, 203, 369, 370, 371, 372, 373],
-    [228, 237, 374, 375, 376, 377, 378],
-    [193, 247, 379, 380, 381, 382, 383],
-    [202, 245, 384, 385, 386, 387, 388],
-    [211, 255, 389, 390, 391, 392, 393],
-    [219, 263, 394, 395, 396, 397, 398],
-    [227, 253, 399, 400, 401, 402, 403],
-    [261, 236, 404, 405, 406, 407, 408],
-    [244, 271, 409, 410, 411, 412, 413],
-    [252, 269, 414, 415, 416, 417, 418],
-    [260, 268, 419, 420, 421, 422, 423],
-    [
-      424, 425, 426, 427, 428, 429, 430, 431, 432, 433, 434, 435, 436, 437, 438,
-      439, 321, 440, 441, 294, 289, 442, 443, 281, 274, 444, 156, 147, 129, 120,
-      110, 37,
-    ],
-    [
-      445, 446, 447, 448, 449, 450, 451, 452, 453, 454, 455, 456, 457, 458, 459,
-      460, 324, 461, 462, 311, 302, 463, 464, 285, 275, 465, 182, 164, 138, 119,
-      109, 42,
-    ],
-    [
-      466, 467, 468, 469, 470, 471, 472, 473, 474, 475, 476, 477, 478, 479, 480,
-      481, 329, 482, 483, 314, 304, 484, 485, 284, 282, 486, 190, 173, 137, 128,
-      107, 48,
-    ],
-    [
-      487, 488, 489, 490, 491, 492, 493, 494, 495, 496, 497, 498, 499, 500, 501,
-      502, 366, 503, 504, 344, 335, 505, 506, 303, 290, 507, 216, 198, 163, 146,
-      117, 54,
-    ],
-    [
-      508, 509, 510, 511, 512, 513, 514, 515, 516, 517, 518, 519, 520, 521, 522,
-      523, 370, 524, 525, 350, 340, 526, 527, 305, 295, 528, 224, 207, 172, 155,
-      126, 56,
-    ],
-    [
-      529, 530, 531, 532, 533, 534, 535, 536, 537, 538, 539, 540, 541, 542, 543,
-      544, 377, 545, 546, 359, 354, 547, 548, 315, 309, 549, 241, 232, 189, 181,
-      135, 66,
-    ],
-    [
-      550, 551, 552, 553, 554, 555, 556, 557, 558, 559, 560, 561, 562, 563, 564,
-      565, 566, 384, 379, 567, 568, 339, 334, 569, 570, 322, 249, 206, 197, 153,
-      144, 72,
-    ],
-    [
-      571, 572, 573, 574, 575, 576, 577, 578, 579, 580, 581, 582, 583, 584, 585,
-      586, 587, 400, 390, 588, 589, 355, 345, 590, 591, 325, 257, 231, 215, 179,
-      161, 74,
-    ],
-    [
-      592, 593, 594, 595, 596, 597, 598, 599, 600, 601, 602, 603, 604, 605, 606,
-      607, 608, 405, 397, 609, 610, 360, 349, 611, 612, 331, 265, 240, 223, 187,
-      170, 84,
-    ],
-    [
-      613, 614, 615, 616, 617, 618, 619, 620, 621, 622, 623, 624, 625, 626, 627,
-      628, 629, 417, 409, 630, 631, 389, 380, 632, 633, 364, 273, 256, 248, 213,
-      195, 90,
-    ],
-    [
-      634, 635, 636, 637, 638, 639, 640, 641, 642, 643, 644, 645, 646, 647, 648,
-      649, 650, 420, 410, 651, 652, 398, 386, 653, 654, 369, 272, 264, 246, 221,
-      204, 96,
-    ],
-    [
-      655, 656, 657, 658, 659, 660, 661, 662, 663, 664, 665, 666, 667, 668, 669,
-      670, 671, 419, 416, 672, 673, 404, 399, 674, 675, 376, 270, 262, 254, 238,
-      229, 103,
-    ],
-    [676, 677, 678, 679, 680, 681, 682, 287, 486, 465, 280, 277, 444, 104],
-    [683, 684, 685, 686, 687, 688, 689, 507, 300, 291, 464, 443, 276, 114],
-    [690, 691, 692, 693, 694, 695, 696, 528, 308, 297, 485, 442, 279, 123],
-    [697, 698, 699, 700, 701, 702, 703, 549, 316, 312, 484, 463, 286, 132],
-    [704, 705, 706, 707, 708, 709, 710, 337, 570, 506, 320, 292, 441, 141],
-    [711, 712, 713, 714, 715, 716, 717, 343, 569, 527, 319, 298, 440, 150],
-    [718, 719, 720, 721, 722, 723, 724, 346, 591, 505, 326, 299, 462, 158],
-    [725, 726, 727, 728, 729, 730, 731, 353, 612, 526, 330, 306, 483, 167],
-    [732, 733, 734, 735, 736, 737, 738, 356, 590, 548, 328, 310, 461, 176],
-    [739, 740, 741, 742, 743, 744, 745, 361, 611, 547, 332, 317, 482, 184],
-    [746, 747, 748, 749, 750, 751, 752, 633, 381, 367, 568, 504, 336, 192],
-    [753, 754, 755, 756, 757, 758, 759, 654, 385, 373, 567, 525, 341, 201],
-    [760, 761, 762, 763, 764, 765, 766, 632, 391, 365, 589, 503, 348, 210],
-    [767, 768, 769, 770, 771, 772, 773, 653, 394, 371, 610, 524, 351, 218],
-    [774, 775, 776, 777, 778, 779, 780, 675, 402, 374, 588, 546, 358, 226],
-    [781, 782, 783, 784, 785, 786, 787, 674, 407, 375, 609, 545, 362, 235],
-    [788, 789, 790, 791, 792, 793, 794, 411, 652, 631, 387, 382, 566, 243],
-    [795, 796, 797, 798, 799, 800, 801, 414, 673, 630, 403, 393, 587, 251],
-    [802, 803, 804, 805, 806, 807, 808, 421, 672, 651, 406, 395, 608, 259],
-    [809, 810, 811, 812, 813, 814, 815, 671, 422, 415, 650, 629, 412, 267],
-    [816, 817, 818, 819, 820, 821, 822, 823, 824, 689, 460, 439, 682, 278],
-    [825, 826, 827, 828, 829, 830, 831, 832, 833, 696, 481, 438, 681, 283],
-    [834, 835, 836, 837, 838, 839, 840, 841, 842, 703, 480, 459, 679, 288],
-    [843, 844, 845, 846, 847, 848, 849, 850, 851, 502, 710, 688, 437, 293],
-    [852, 853, 854, 855, 856, 857, 858, 859, 860, 523, 717, 695, 436, 296],
-    [861, 862, 863, 864, 865, 866, 867, 868, 869, 724, 501, 458, 686, 301],
-    [870, 871, 872, 873, 874, 875, 876, 877, 878, 731, 522, 479, 693, 307],
-    [879, 880, 881, 882, 883, 884, 885, 886, 887, 544, 738, 702, 457, 313],
-    [888, 889, 890, 891, 892, 893, 894, 895, 896, 543, 745, 700, 478, 318],
-    [897, 898, 899, 900, 901, 902, 903, 904, 905, 565, 716, 709, 435, 323],
-    [906, 907, 908, 909, 910, 911, 912, 913, 914, 586, 737, 723, 456, 327],
-    [915, 916, 917, 918, 919, 920, 921, 922, 923, 607, 744, 730, 477, 333],
-    [924, 925, 926, 927, 928, 929, 930, 931, 932, 752, 564, 500, 707, 338],
-    [933, 934, 935, 936, 937, 938, 939, 940, 941, 759, 563, 521, 714, 342],
-    [942, 943, 944, 945, 946, 947, 948, 949, 950, 766, 585, 499, 721, 347],
-    [951, 952, 953, 954, 955, 956, 957, 958, 959, 773, 606, 520, 728, 352],
-    [960, 961, 962, 963, 964, 965, 966, 967, 968, 780, 584, 542, 735, 357],
-    [969, 970, 971, 972, 973, 974, 975, 976, 977, 787, 605, 541, 742, 363],
-    [978, 979, 980, 981, 982, 983, 984, 985, 986, 628, 765, 751, 498, 368],
-    [987, 988, 989, 990, 991, 992, 993, 994, 995, 649, 772, 758, 519, 372],
-    [996, 997, 998, 999, 1000, 1001, 1002, 1003, 1004, 670, 786, 779, 540, 378],
-    [
-      1005, 1006, 1007, 1008, 1009, 1010, 1011, 1012, 1013, 627, 794, 749, 562,
-      383,
-    ],
-    [
-      1014, 1015, 1016, 1017, 1018, 1019, 1020, 1021, 1022, 648, 793, 756, 561,
-      388,
-    ],
-    [
-      1023, 1024, 1025, 1026, 1027, 1028, 1029, 1030, 1031, 801, 626, 583, 763,
-      392,
-    ],
-    [
-      1032, 1033, 1034, 1035, 1036, 1037, 1038, 1039, 1040, 808, 647, 604, 770,
-      396,
-    ],
-    [
-      1041, 1042, 1043, 1044, 1045, 1046, 1047, 1048, 1049, 669, 800, 777, 582,
-      401,
-    ],
-    [
-      1050, 1051, 1052, 1053, 1054, 1055, 1056, 1057, 1058, 668, 807, 784, 603,
-      408,
-    ],
-    [
-      1059, 1060, 1061, 1062, 1063, 1064, 1065, 1066, 1067, 815, 646, 625, 791,
-      413,
-    ],
-    [
-      1068, 1069, 1070, 1071, 1072, 1073, 1074, 1075, 1076, 814, 667, 624, 798,
-      418,
-    ],
-    [
-      1077, 1078, 1079, 1080, 1081, 1082, 1083, 1084, 1085, 812, 666, 645, 805,
-      423,
-    ],
-    [434, 680, 833, 824, 1086, 1087, 1088],
-    [455, 823, 678, 842, 1089, 1090, 1091],
-    [476, 677, 832, 841, 1092, 1093, 1094],
-    [687, 433, 821, 851, 1095, 1096, 1097],
-    [694, 431, 830, 860, 1098, 1099, 1100],
-    [454, 685, 869, 819, 1101, 1102, 1103],
-    [692, 475, 878, 828, 1104, 1105, 1106],
-    [452, 701, 887, 839, 1107, 1108, 1109],
-    [699, 473, 837, 896, 1110, 1111, 1112],
-    [429, 708, 905, 850, 1113, 1114, 1115],
-    [715, 427, 904, 859, 1116, 1117, 1118],
-    [497, 684, 868, 848, 1119, 1120, 1121],
-    [518, 691, 877, 857, 1122, 1123, 1124],
-    [722, 450, 914, 866, 1125, 1126, 1127],
-    [736, 448, 913, 886, 1128, 1129, 1130],
-    [729, 471, 875, 923, 1131, 1132, 1133],
-    [469, 743, 922, 895, 1134, 1135, 1136],
-    [539, 698, 884, 893, 1137, 1138, 1139],
-    [496, 846, 706, 932, 1140, 1141, 1142],
-    [517, 713, 941, 855, 1143, 1144, 1145],
-    [720, 494, 950, 864, 1146, 1147, 1148],
-    [515, 959, 727, 873, 1149, 1150, 1151],
-    [734, 538, 968, 882, 1152, 1153, 1154],
-    [741, 536, 977, 891, 1155, 1156, 1157],
-    [560, 705, 902, 931, 1158, 1159, 1160],
-    [712, 559, 940, 900, 1161, 1162, 1163],
-    [581, 719, 911, 949, 1164, 1165, 1166],
-    [580, 909, 733, 967, 1167, 1168, 1169],
-    [726, 602, 958, 920, 1170, 1171, 1172],
-    [601, 740, 918, 976, 1173, 1174, 1175],
-    [492, 750, 986, 929, 1176, 1177, 1178],
-    [764, 490, 947, 985, 1179, 1180, 1181],
-    [513, 995, 757, 938, 1182, 1183, 1184],
-    [511, 771, 956, 994, 1185, 1186, 1187],
-    [778, 534, 965, 1004, 1188, 1189, 1190],
-    [532, 785, 1003, 974, 1191, 1192, 1193],
-    [748, 557, 927, 1013, 1194, 1195, 1196],
-    [755, 555, 936, 1022, 1197, 1198, 1199],
-    [578, 945, 762, 1031, 1200, 1201, 1202],
-    [769, 599, 954, 1040, 1203, 1204, 1205],
-    [576, 776, 963, 1049, 1206, 1207, 1208],
-    [597, 1058, 783, 972, 1209, 1210, 1211],
-    [553, 792, 1021, 1012, 1212, 1213, 1214],
-    [623, 747, 983, 1010, 1215, 1216, 1217],
-    [761, 622, 1030, 981, 1218, 1219, 1220],
-    [754, 644, 992, 1019, 1221, 1222, 1223],
-    [768, 643, 990, 1039, 1224, 1225, 1226],
-    [574, 799, 1028, 1048, 1227, 1228, 1229],
-    [595, 806, 1037, 1057, 1230, 1231, 1232],
-    [775, 665, 1001, 1046, 1233, 1234, 1235],
-    [664, 782, 999, 1055, 1236, 1237, 1238],
-    [790, 620, 1067, 1008, 1239, 1240, 1241],
-    [641, 789, 1017, 1066, 1242, 1243, 1244],
-    [797, 618, 1026, 1076, 1245, 1246, 1247],
-    [639, 804, 1035, 1085, 1248, 1249, 1250],
-    [796, 662, 1075, 1044, 1251, 1252, 1253],
-    [803, 660, 1053, 1084, 1254, 1255, 1256],
-    [616, 813, 1073, 1064, 1257, 1258, 1259],
-    [637, 1082, 811, 1062, 1260, 1261, 1262],
-    [658, 810, 1071, 1080, 1263, 1264, 1265],
-    [424, 1266, 1267, 1268, 1269, 1270, 1271],
-    [445, 1272, 1273, 1274, 1275, 1276, 1277],
-    [466, 1278, 1279, 1280, 1281, 1282, 1283],
-    [487, 1284, 1285, 1286, 1287, 1288, 1289],
-    [508, 1290, 1291, 1292, 1293, 1294, 1295],
-    [529, 1296, 1297, 1298, 1299, 1300, 1301],
-    [550, 1302, 1303, 1304, 1305, 1306, 1307],
-    [571, 1308, 1309, 1310, 1311, 1312, 1313],
-    [592, 1314, 1315, 1316, 1317, 1318, 1319],
-    [613, 1320, 1321, 1322, 1323, 1324, 1325],
-    [634, 1326, 1327, 1328, 1329, 1330, 1331],
-    [655, 1332, 1333, 1334, 1335, 1336, 1337],
-    [
-      1338, 1339, 1340, 1341, 1342, 1343, 1344, 1267, 1345, 1346, 1096, 1087,
-      820, 432,
-    ],
-    [
-      1347, 1348, 1349, 1350, 1351, 1352, 1353, 1269, 1354, 1346, 1099, 1086,
-      829, 430,
-    ],
-    [
-      1355, 1356, 1357, 1358, 1359, 1360, 1361, 1274, 1362, 1363, 1102, 1089,
-      818, 453,
-    ],
-    [
-      1364, 1365, 1366, 1367, 1368, 1369, 1370, 1282, 1371, 1372, 1105, 1092,
-      827, 474,
-    ],
-    [
-      1373, 1374, 1375, 1376, 1377, 1378, 1379, 1272, 1380, 1363, 1109, 1090,
-      838, 451,
-    ],
-    [
-      1381, 1382, 1383, 1384, 1385, 1386, 1387, 1278, 1388, 1372, 1112, 1094,
-      836, 472,
-    ],
-    [
-      1389, 1390, 1391, 1392, 1393, 1394, 1395, 1268, 1396, 1345, 1114, 1097,
-      849, 428,
-    ],
-    [
-      1397, 1398, 1399, 1400, 1401, 1402, 1403, 1266, 1404, 1354, 1118, 1100,
-      858, 426,
-    ],
-    [
-      1405, 1406, 1407, 1408, 1409, 1410, 1411, 1275, 1412, 1362, 1127, 1101,
-      865, 449,
-    ],
-    [
-      1413, 1414, 1415, 1416, 1417, 1418, 1419, 1279, 1420, 1371, 1133, 1106,
-      874, 470,
-    ],
-    [
-      1421, 1422, 1423, 1424, 1425, 1426, 1427, 1276, 1428, 1380, 1130, 1107,
-      885, 447,
-    ],
-    [
-      1429, 1430, 1431, 1432, 1433, 1434, 1435, 1280, 1436, 1388, 1135, 1110,
-      894, 468,
-    ],
-    [
-      1437, 1438, 1439, 1440, 1441, 1442, 1443, 1270, 1404, 1396, 1117, 1113,
-      903, 425,
-    ],
-    [
-      1444, 1445, 1446, 1447, 1448, 1449, 1450, 1273, 1428, 1412, 1129, 1126,
-      912, 446,
-    ],
-    [
-      1451, 1452, 1453, 1454, 1455, 1456, 1457, 1281, 1436, 1420, 1134, 1132,
-      921, 467,
-    ],
-    [
-      1458, 1459, 1460, 1461, 1462, 1463, 1464, 1286, 1465, 1466, 1140, 1120,
-      844, 495,
-    ],
-    [
-      1467, 1468, 1469, 1470, 1471, 1472, 1473, 1287, 1474, 1466, 1148, 1119,
-      863, 493,
-    ],
-    [
-      1475, 1476, 1477, 1478, 1479, 1480, 1481, 1290, 1482, 1483, 1144, 1123,
-      853, 516,
-    ],
-    [
-      1484, 1485, 1486, 1487, 1488, 1489, 1490, 1291, 1491, 1483, 1150, 1122,
-      872, 514,
-    ],
-    [
-      1492, 1493, 1494, 1495, 1496, 1497, 1498, 1299, 1499, 1500, 1153, 1137,
-      880, 537,
-    ],
-    [
-      1501, 1502, 1503, 1504, 1505, 1506, 1507, 1298, 1508, 1500, 1155, 1138,
-      889, 535,
-    ],
-    [
-      1509, 1510, 1511, 1512, 1513, 1514, 1515, 1306, 1516, 1517, 1162, 1158,
-      898, 558,
-    ],
-    [
-      1518, 1519, 1520, 1521, 1522, 1523, 1524, 1284, 1525, 1465, 1178, 1141,
-      928, 491,
-    ],
-    [
-      1526, 1527, 1528, 1529, 1530, 1531, 1532, 1285, 1533, 1474, 1180, 1147,
-      946, 489,
-    ],
-    [
-      1534, 1535, 1536, 1537, 1538, 1539, 1540, 1292, 1541, 1482, 1183, 1143,
-      937, 512,
-    ],
-    [
-      1542, 1543, 1544, 1545, 1546, 1547, 1548, 1293, 1549, 1491, 1185, 1149,
-      955, 510,
-    ],
-    [
-      1550, 1551, 1552, 1553, 1554, 1555, 1556, 1311, 1557, 1558, 1167, 1164,
-      907, 579,
-    ],
-    [
-      1559, 1560, 1561, 1562, 1563, 1564, 1565, 1318, 1566, 1567, 1173, 1172,
-      916, 600,
-    ],
-    [
-      1568, 1569, 1570, 1571, 1572, 1573, 1574, 1297, 1575, 1499, 1190, 1154,
-      964, 533,
-    ],
-    [
-      1576, 1577, 1578, 1579, 1580, 1581, 1582, 1296, 1583, 1508, 1193, 1157,
-      973, 531,
-    ],
-    [
-      1584, 1585, 1586, 1587, 1588, 1589, 1590, 1302, 1591, 1517, 1196, 1160,
-      926, 556,
-    ],
-    [
-      1592, 1593, 1594, 1595, 1596, 1597, 1598, 1303, 1599, 1516, 1199, 1163,
-      935, 554,
-    ],
-    [
-      1600, 1601, 1602, 1603, 1604, 1605, 1606, 1288, 1533, 1525, 1181, 1176,
-      984, 488,
-    ],
-    [
-      1607, 1608, 1609, 1610, 1611, 1612, 1613, 1294, 1549, 1541, 1186, 1182,
-      993, 509,
-    ],
-    [
-      1614, 1615, 1616, 1617, 1618, 1619, 1620, 1312, 1621, 1558, 1200, 1165,
-      944, 577,
-    ],
-    [
-      1622, 1623, 1624, 1625, 1626, 1627, 1628, 1309, 1629, 1557, 1206, 1168,
-      962, 575,
-    ],
-    [
-      1630, 1631, 1632, 1633, 1634, 1635, 1636, 1315, 1637, 1567, 1204, 1171,
-      953, 598,
-    ],
-    [
-      1638, 1639, 1640, 1641, 1642, 1643, 1644, 1314, 1645, 1566, 1210, 1175,
-      971, 596,
-    ],
-    [
-      1646, 1647, 1648, 1649, 1650, 1651, 1652, 1300, 1583, 1575, 1191, 1189,
-      1002, 530,
-    ],
-    [
-      1653, 1654, 1655, 1656, 1657, 1658, 1659, 1304, 1660, 1591, 1213, 1194,
-      1011, 552,
-    ],
-    [
-      1661, 1662, 1663, 1664, 1665, 1666, 1667, 1305, 1660, 1599, 1212, 1198,
-      1020, 551,
-    ],
-    [
-      1668, 1669, 1670, 1671, 1672, 1673, 1674, 1310, 1675, 1621, 1227, 1201,
-      1027, 573,
-    ],
-    [
-      1676, 1677, 1678, 1679, 1680, 1681, 1682, 1308, 1675, 1629, 1228, 1207,
-      1047, 572,
-    ],
-    [
-      1683, 1684, 1685, 1686, 1687, 1688, 1689, 1317, 1690, 1637, 1230, 1205,
-      1036, 594,
-    ],
-    [
-      1691, 1692, 1693, 1694, 1695, 1696, 1697, 1316, 1690, 1645, 1231, 1209,
-      1056, 593,
-    ],
-    [
-      1698, 1699, 1700, 1701, 1702, 1703, 1704, 1323, 1705, 1706, 1219, 1215,
-      979, 621,
-    ],
-    [
-      1707, 1708, 1709, 1710, 1711, 1712, 1713, 1327, 1714, 1715, 1225, 1222,
-      988, 642,
-    ],
-    [
-      1716, 1717, 1718, 1719, 1720, 1721, 1722, 1335, 1723, 1724, 1236, 1234,
-      997, 663,
-    ],
-    [
-      1725, 1726, 1727, 1728, 1729, 1730, 1731, 1322, 1732, 1706, 1239, 1216,
-      1006, 619,
-    ],
-    [
-      1733, 1734, 1735, 1736, 1737, 1738, 1739, 1330, 1740, 1715, 1242, 1223,
-      1015, 640,
-    ],
-    [
-      1741, 1742, 1743, 1744, 1745, 1746, 1747, 1321, 1748, 1705, 1247, 1220,
-      1025, 617,
-    ],
-    [
-      1749, 1750, 1751, 1752, 1753, 1754, 1755, 1329, 1756, 1714, 1248, 1226,
-      1034, 638,
-    ],
-    [
-      1757, 1758, 1759, 1760, 1761, 1762, 1763, 1332, 1764, 1724, 1253, 1235,
-      1042, 661,
-    ],
-    [
-      1765, 1766, 1767, 1768, 1769, 1770, 1771, 1333, 1772, 1723, 1255, 1237,
-      1051, 659,
-    ],
-    [
-      1773, 1774, 1775, 1776, 1777, 1778, 1779, 1320, 1780, 1732, 1259, 1241,
-      1063, 615,
-    ],
-    [
-      1781, 1782, 1783, 1784, 1785, 1786, 1787, 1326, 1788, 1740, 1261, 1244,
-      1061, 636,
-    ],
-    [
-      1789, 1790, 1791, 1792, 1793, 1794, 1795, 1324, 1780, 1748, 1257, 1246,
-      1072, 614,
-    ],
-    [
-      1796, 1797, 1798, 1799, 1800, 1801, 1802, 1328, 1788, 1756, 1260, 1249,
-      1081, 635,
-    ],
-    [
-      1803, 1804, 1805, 1806, 1807, 1808, 1809, 1336, 1810, 1764, 1263, 1252,
-      1070, 657,
-    ],
-    [
-      1811, 1812, 1813, 1814, 1815, 1816, 1817, 1334, 1810, 1772, 1264, 1256,
-      1079, 656,
-    ],
-    [816, 1359, 1342, 1818, 1819, 1820, 1821],
-    [1368, 825, 1351, 1822, 1823, 1824, 1825],
-    [834, 1377, 1385, 1826, 1827, 1828, 1829],
-    [843, 1462, 1393, 1830, 1831, 1832, 1833],
-    [852, 1479, 1401, 1834, 1835, 1836, 1837],
-    [861, 1409, 1471, 1838, 1839, 1840, 1841],
-    [870, 1488, 1417, 1842, 1843, 1844, 1845],
-    [1425, 879, 1496, 1846, 1847, 1848, 1849],
-    [888, 1433, 1505, 1850, 1851, 1852, 1853],
-    [1513, 897, 1441, 1854, 1855, 1856, 1857],
-    [1554, 906, 1448, 1858, 1859, 1860, 1861],
-    [1563, 915, 1455, 1862, 1863, 1864, 1865],
-    [924, 1522, 1588, 1866, 1867, 1868, 1869],
-    [933, 1538, 1596, 1870, 1871, 1872, 1873],
-    [1618, 942, 1530, 1874, 1875, 1876, 1877],
-    [1546, 951, 1634, 1878, 1879, 1880, 1881],
-    [960, 1626, 1572, 1882, 1883, 1884, 1885],
-    [969, 1642, 1580, 1886, 1887, 1888, 1889],
-    [1604, 978, 1702, 1890, 1891, 1892, 1893],
-    [1611, 987, 1711, 1894, 1895, 1896, 1897],
-    [1650, 996, 1720, 1898, 1899, 1900, 1901],
-    [1005, 1657, 1729, 1902, 1903, 1904, 1905],
-    [1737, 1014, 1665, 1906, 1907, 1908, 1909],
-    [1023, 1672, 1745, 1910, 1911, 1912, 1913],
-    [1032, 1687, 1753, 1914, 1915, 1916, 1917],
-    [1041, 1680, 1761, 1918, 1919, 1920, 1921],
-    [1050, 1695, 1769, 1922, 1923, 1924, 1925],
-    [1059, 1785, 1777, 1926, 1927, 1928, 1929],
-    [1793, 1068, 1807, 1930, 1931, 1932, 1933],
-    [1077, 1800, 1815, 1934, 1935, 1936, 1937],
-    [
-      1938, 1939, 1940, 1941, 1942, 1943, 1944, 1945, 1946, 1947, 1948, 1949,
-      1950, 1951, 1952, 1953, 1826, 1822, 1818, 1387, 1379, 1370, 1361, 1353,
-      1344, 1093, 1091, 1088, 840, 831, 822, 676,
-    ],
-    [
-      1954, 1955, 1956, 1957, 1958, 1959, 1960, 1961, 1962, 1963, 1964, 1965,
-      1966, 1967, 1968, 1969, 1838, 1831, 1819, 1473, 1464, 1411, 1395, 1360,
-      1343, 1121, 1103, 1095, 867, 847, 817, 683,
-    ],
-    [
-      1970, 1971, 1972, 1973, 1974, 1975, 1976, 1977, 1978, 1979, 1980, 1981,
-      1982, 1983, 1984, 1985, 1842, 1834, 1823, 1490, 1481, 1419, 1403, 1369,
-      1352, 1124, 1104, 1098, 876, 856, 826, 690,
-    ],
-    [
-      1986, 1987, 1988, 1989, 1990, 1991, 1992, 1993, 1994, 1995, 1996, 1997,
-      1998, 1999, 2000, 2001, 1850, 1846, 1827, 1507, 1498, 1435, 1427, 1386,
-      1378, 1139, 1111, 1108, 892, 883, 835, 697,
-    ],
-    [
-      2002, 2003, 2004, 2005, 2006, 2007, 2008, 2009, 2010, 2011, 2012, 2013,
-      2014, 2015, 2016, 2017, 1866, 1854, 1830, 1590, 1524, 1515, 1463, 1443,
-      1394, 1159, 1142, 1115, 930, 901, 845, 704,
-    ],
-    [
-      2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026, 2027, 2028, 2029,
-      2030, 2031, 2032, 2033, 1870, 1855, 1835, 1598, 1540, 1514, 1480, 1442,
-      1402, 1161, 1145, 1116, 939, 899, 854, 711,
-    ],
-    [
-      2034, 2035, 2036, 2037, 2038, 2039, 2040, 2041, 2042, 2043, 2044, 2045,
-      2046, 2047, 2048, 2049, 1875, 1859, 1839, 1620, 1532, 1556, 1472, 1450,
-      1410, 1166, 1146, 1125, 948, 910, 862, 718,
-    ],
-    [
-      2050, 2051, 2052, 2053, 2054, 2055, 2056, 2057, 2058, 2059, 2060, 2061,
-      2062, 2063, 2064, 2065, 1878, 1863, 1843, 1636, 1548, 1565, 1489, 1457,
-      1418, 1170, 1151, 1131, 957, 919, 871, 725,
-    ],
-    [
-      2066, 2067, 2068, 2069, 2070, 2071, 2072, 2073, 2074, 2075, 2076, 2077,
-      2078, 2079, 2080, 2081, 1883, 1858, 1847, 1628, 1574, 1555, 1497, 1449,
-      1426, 1169, 1152, 1128, 966, 908, 881, 732,
-    ],
-    [
-      2082, 2083, 2084, 2085, 2086, 2087, 2088, 2089, 2090, 2091, 2092, 2093,
-      2094, 2095, 2096, 2097, 1887, 1862, 1851, 1644, 1582, 1564, 1506, 1456,
-      1434, 1174, 1156, 1136, 975, 917, 890, 739,
-    ],
-    [
-      2098, 2099, 2100, 2101, 2102, 2103, 2104, 2105, 2106, 2107, 2108, 2109,
-      2110, 2111, 2112, 2113, 1902, 1890, 1867, 1731, 1704, 1659, 1606, 1589,
-      1523, 1217, 1195, 1177, 1009, 982, 925, 746,
-    ],
-    [
-      2114, 2115, 2116, 2117, 2118, 2119, 2120, 2121, 2122, 2123, 2124, 2125,
-      2126, 2127, 2128, 2129, 1907, 1894, 1871, 1739, 1713, 1667, 1613, 1597,
-      1539, 1221, 1197, 1184, 1018, 991, 934, 753,
-    ],
-    [
-      2130, 2131, 2132, 2133, 2134, 2135, 2136, 2137, 2138, 2139, 2140, 2141,
-      2142, 2143, 2144, 2145, 1911, 1891, 1874, 1747, 1703, 1674, 1605, 1619,
-      1531, 1218, 1202, 1179, 1029, 980, 943, 760,
-    ],
-    [
-      2146, 2147, 2148, 2149, 2150, 2151, 2152, 2153, 2154, 2155, 2156, 2157,
-      2158, 2159, 2160, 2161, 1915, 1895, 1879, 1755, 1712, 1689, 1612, 1635,
-      1547, 1224, 1203, 1187, 1038, 989, 952, 767,
-    ],
-    [
-      2162, 2163, 2164, 2165, 2166, 2167, 2168, 2169, 2170, 2171, 2172, 2173,
-      2174, 2175, 2176, 2177, 1918, 1899, 1882, 1763, 1722, 1682, 1652, 1627,
-      1573, 1233, 1208, 1188, 1045, 1000, 961, 774,
-    ],
-    [
-      2178, 2179, 2180, 2181, 2182, 2183, 2184, 2185, 2186, 2187, 2188, 2189,
-      2190, 2191, 2192, 2193, 1922, 1898, 1886, 1771, 1721, 1697, 1651, 1643,
-      1581, 1238, 1211, 1192, 1054, 998, 970, 781,
-    ],
-    [
-      2194, 2195, 2196, 2197, 2198, 2199, 2200, 2201, 2202, 2203, 2204, 2205,
-      2206, 2207, 2208, 2209, 1927, 1906, 1903, 1787, 1779, 1738, 1730, 1666,
-      1658, 1243, 1240, 1214, 1065, 1016, 1007, 788,
-    ],
-    [
-      2210, 2211, 2212, 2213, 2214, 2215, 2216, 2217, 2218, 2219, 2220, 2221,
-      2222, 2223, 2224, 2225, 1931, 1919, 1910, 1809, 1795, 1762, 1746, 1681,
-      1673, 1251, 1245, 1229, 1074, 1043, 1024, 795,
-    ],
-    [
-      2226, 2227, 2228, 2229, 2230, 2231, 2232, 2233, 2234, 2235, 2236, 2237,
-      2238, 2239, 2240, 2241, 1935, 1923, 1914, 1817, 1802, 1770, 1754, 1696,
-      1688, 1254, 1250, 1232, 1083, 1052, 1033, 802,
-    ],
-    [
-      2242, 2243, 2244, 2245, 2246, 2247, 2248, 2249, 2250, 2251, 2252, 2253,
-      2254, 2255, 2256, 2257, 1934, 1930, 1926, 1816, 1808, 1801, 1794, 1786,
-      1778, 1265, 1262, 1258, 1078, 1069, 1060, 809,
-    ],
-    [1340, 1349, 1951, 2258, 2259, 2260, 2261],
-    [1375, 1357, 1947, 2262, 2263, 2264, 2265],
-    [1383, 1366, 1945, 2266, 2267, 2268, 2269],
-    [1339, 1391, 1966, 2270, 2271, 2272, 2273],
-    [1399, 1348, 1982, 2274, 2275, 2276, 2277],
-    [1407, 1356, 1964, 2278, 2279, 2280, 2281],
-    [1415, 1980, 1365, 2282, 2283, 2284, 2285],
-    [1423, 1374, 1998, 2286, 2287, 2288, 2289],
-    [1382, 1431, 1996, 2290, 2291, 2292, 2293],
-    [1390, 1439, 2015, 2294, 2295, 2296, 2297],
-    [1398, 1438, 2031, 2298, 2299, 2300, 2301],
-    [1446, 1406, 2047, 2302, 2303, 2304, 2305],
-    [1445, 2079, 1422, 2306, 2307, 2308, 2309],
-    [1414, 1453, 2063, 2310, 2311, 2312, 2313],
-    [1452, 2095, 1430, 2314, 2315, 2316, 2317],
-    [1469, 1460, 1961, 2318, 2319, 2320, 2321],
-    [1486, 1477, 1977, 2322, 2323, 2324, 2325],
-    [1494, 1993, 1503, 2326, 2327, 2328, 2329],
-    [1520, 1459, 2011, 2330, 2331, 2332, 2333],
-    [1528, 1468, 2044, 2334, 2335, 2336, 2337],
-    [1536, 1476, 2027, 2338, 2339, 2340, 2341],
-    [1544, 1485, 2060, 2342, 2343, 2344, 2345],
-    [1570, 1493, 2075, 2346, 2347, 2348, 2349],
-    [1578, 1502, 2091, 2350, 2351, 2352, 2353],
-    [1586, 1511, 2009, 2354, 2355, 2356, 2357],
-    [1594, 2025, 1510, 2358, 2359, 2360, 2361],
-    [1552, 1616, 2041, 2362, 2363, 2364, 2365],
-    [1551, 1624, 2073, 2366, 2367, 2368, 2369],
-    [1632, 2057, 1561, 2370, 2371, 2372, 2373],
-    [1560, 1640, 2089, 2374, 2375, 2376, 2377],
-    [1602, 1519, 2110, 2378, 2379, 2380, 2381],
-    [1527, 2143, 1601, 2382, 2383, 2384, 2385],
-    [1609, 1535, 2126, 2386, 2387, 2388, 2389],
-    [1543, 1608, 2159, 2390, 2391, 2392, 2393],
-    [1569, 2174, 1648, 2394, 2395, 2396, 2397],
-    [1577, 1647, 2190, 2398, 2399, 2400, 2401],
-    [1585, 1655, 2108, 2402, 2403, 2404, 2405],
-    [1593, 1663, 2124, 2406, 2407, 2408, 2409],
-    [1615, 1670, 2140, 2410, 2411, 2412, 2413],
-    [1623, 1678, 2172, 2414, 2415, 2416, 2417],
-    [1631, 1685, 2156, 2418, 2419, 2420, 2421],
-    [1639, 1693, 2188, 2422, 2423, 2424, 2425],
-    [1662, 2207, 1654, 2426, 2427, 2428, 2429],
-    [1669, 1677, 2223, 2430, 2431, 2432, 2433],
-    [1684, 1692, 2239, 2434, 2435, 2436, 2437],
-    [1700, 2105, 1727, 2438, 2439, 2440, 2441],
-    [1743, 1699, 2137, 2442, 2443, 2444, 2445],
-    [1709, 2121, 1735, 2446, 2447, 2448, 2449],
-    [1708, 1751, 2153, 2450, 2451, 2452, 2453],
-    [1759, 1718, 2169, 2454, 2455, 2456, 2457],
-    [1767, 1717, 2185, 2458, 2459, 2460, 2461],
-    [1775, 1726, 2203, 2462, 2463, 2464, 2465],
-    [1734, 1783, 2201, 2466, 2467, 2468, 2469],
-    [1742, 2219, 1791, 2470, 2471, 2472, 2473],
-    [1750, 1798, 2235, 2474, 2475, 2476, 2477],
-    [1758, 1805, 2217, 2478, 2479, 2480, 2481],
-    [1766, 1813, 2233, 2482, 2483, 2484, 2485],
-    [1774, 1790, 2254, 2486, 2487, 2488, 2489],
-    [1782, 1797, 2252, 2490, 2491, 2492, 2493],
-    [1812, 1804, 2249, 2494, 2495, 2496, 2497],
-    [
-      2498, 2499, 2500, 2501, 2502, 2503, 2504, 2505, 2272, 2258, 1969, 1953,
-      1821, 1338,
-    ],
-    [
-      2506, 2507, 2508, 2509, 2510, 2511, 2512, 2513, 2276, 2259, 1985, 1952,
-      1825, 1347,
-    ],
-    [
-      2514, 2515, 2516, 2517, 2518, 2519, 2504, 2520, 2278, 2265, 1968, 1950,
-      1820, 1355,
-    ],
-    [
-      2521, 2522, 2523, 2524, 2525, 2526, 2512, 2527, 2283, 2267, 1984, 1949,
-      1824, 1364,
-    ],
-    [
-      2528, 2529, 2530, 2531, 2532, 2533, 2534, 2535, 2286, 2263, 2001, 1948,
-      1828, 1373,
-    ],
-    [
-      2536, 2537, 2538, 2539, 2540, 2541, 2534, 2542, 2291, 2266, 2000, 1946,
-      1829, 1381,
-    ],
-    [
-      2543, 2544, 2545, 2546, 2547, 2548, 2549, 2550, 2294, 2273, 2017, 1967,
-      1833, 1389,
-    ],
-    [
-      2551, 2552, 2553, 2554, 2555, 2556, 2557, 2558, 2298, 2274, 2033, 1983,
-      1837, 1397,
-    ],
-    [
-      2559, 2560, 2561, 2562, 2563, 2564, 2565, 2566, 2304, 2279, 2049, 1965,
-      1840, 1405,
-    ],
-    [
-      2567, 2568, 2569, 2570, 2571, 2572, 2573, 2574, 2311, 2282, 2065, 1981,
-      1845, 1413,
-    ],
-    [
-      2575, 2576, 2577, 2578, 2579, 2580, 2581, 2582, 2307, 2287, 2081, 1999,
-      1848, 1421,
-    ],
-    [
-      2583, 2584, 2585, 2586, 2587, 2588, 2589, 2590, 2314, 2293, 2097, 1997,
-      1852, 1429,
-    ],
-    [
-      2591, 2592, 2593, 2594, 2595, 2596, 2597, 2598, 2300, 2295, 2032, 2016,
-      1857, 1437,
-    ],
-    [
-      2599, 2600, 2601, 2602, 2603, 2604, 2549, 2605, 2333, 2318, 2014, 1963,
-      1832, 1458,
-    ],
-    [
-      2606, 2607, 2608, 2609, 2610, 2611, 2565, 2612, 2336, 2319, 2046, 1962,
-      1841, 1467,
-    ],
-    [
-      2613, 2614, 2615, 2616, 2617, 2618, 2557, 2619, 2339, 2323, 2030, 1979,
-      1836, 1475,
-    ],
-    [
-      2620, 2621, 2622, 2623, 2624, 2625, 2573, 2626, 2343, 2324, 2062, 1978,
-      1844, 1484,
-    ],
-    [
-      2627, 2628, 2629, 2630, 2631, 2632, 2633, 2634, 2306, 2302, 2080, 2048,
-      1861, 1444,
-    ],
-    [
-      2635, 2636, 2637, 2638, 2639, 2640, 2641, 2642, 2315, 2312, 2096, 2064,
-      1865, 1451,
-    ],
-    [
-      2643, 2644, 2645, 2646, 2647, 2648, 2581, 2649, 2348, 2327, 2078, 1995,
-      1849, 1492,
-    ],
-    [
-      2650, 2651, 2652, 2653, 2654, 2655, 2589, 2656, 2353, 2326, 2094, 1994,
-      1853, 1501,
-    ],
-    [
-      2657, 2658, 2659, 2660, 2661, 2662, 2597, 2663, 2359, 2355, 2029, 2013,
-      1856, 1509,
-    ],
-    [
-      2664, 2665, 2666, 2667, 2668, 2669, 2633, 2670, 2368, 2364, 2077, 2043,
-      1860, 1550,
-    ],
-    [
-      2671, 2672, 2673, 2674, 2675, 2676, 2641, 2677, 2375, 2371, 2093, 2059,
-      1864, 1559,
-    ],
-    [
-      2678, 2679, 2680, 2681, 2682, 2683, 2684, 2685, 2378, 2331, 2113, 2012,
-      1868, 1518,
-    ],
-    [
-      2686, 2687, 2688, 2689, 2690, 2691, 2692, 2693, 2387, 2340, 2129, 2028,
-      1872, 1534,
-    ],
-    [
-      2694, 2695, 2696, 2697, 2698, 2699, 2700, 2701, 2382, 2334, 2145, 2045,
-      1877, 1526,
-    ],
-    [
-      2702, 2703, 2704, 2705, 2706, 2707, 2708, 2709, 2392, 2344, 2161, 2061,
-      1880, 1542,
-    ],
-    [
-      2710, 2711, 2712, 2713, 2714, 2715, 2716, 2717, 2394, 2347, 2177, 2076,
-      1885, 1568,
-    ],
-    [
-      2718, 2719, 2720, 2721, 2722, 2723, 2724, 2725, 2398, 2351, 2193, 2092,
-      1889, 1576,
-    ],
-    [
-      2726, 2727, 2728, 2729, 2730, 2731, 2684, 2732, 2403, 2354, 2112, 2010,
-      1869, 1584,
-    ],
-    [
-      2733, 2734, 2735, 2736, 2737, 2738, 2692, 2739, 2407, 2358, 2128, 2026,
-      1873, 1592,
-    ],
-    [
-      2740, 2741, 2742, 2743, 2744, 2745, 2700, 2746, 2412, 2365, 2142, 2042,
-      1876, 1614,
-    ],
-    [
-      2747, 2748, 2749, 2750, 2751, 2752, 2708, 2753, 2418, 2370, 2158, 2058,
-      1881, 1630,
-    ],
-    [
-      2754, 2755, 2756, 2757, 2758, 2759, 2716, 2760, 2416, 2367, 2176, 2074,
-      1884, 1622,
-    ],
-    [
-      2761, 2762, 2763, 2764, 2765, 2766, 2724, 2767, 2423, 2374, 2192, 2090,
-      1888, 1638,
-    ],
-    [
-      2768, 2769, 2770, 2771, 2772, 2773, 2774, 2775, 2383, 2379, 2144, 2111,
-      1892, 1600,
-    ],
-    [
-      2776, 2777, 2778, 2779, 2780, 2781, 2782, 2783, 2393, 2388, 2160, 2127,
-      1896, 1607,
-    ],
-    [
-      2784, 2785, 2786, 2787, 2788, 2789, 2790, 2791, 2399, 2395, 2191, 2175,
-      1900, 1646,
-    ],
-    [
-      2792, 2793, 2794, 2795, 2796, 2797, 2798, 2799, 2426, 2405, 2209, 2109,
-      1904, 1653,
-    ],
-    [
-      2800, 2801, 2802, 2803, 2804, 2805, 2806, 2807, 2427, 2408, 2208, 2125,
-      1909, 1661,
-    ],
-    [
-      2808, 2809, 2810, 2811, 2812, 2813, 2774, 2814, 2444, 2439, 2139, 2107,
-      1893, 1698,
-    ],
-    [
-      2815, 2816, 2817, 2818, 2819, 2820, 2782, 2821, 2450, 2446, 2155, 2123,
-      1897, 1707,
-    ],
-    [
-      2822, 2823, 2824, 2825, 2826, 2827, 2828, 2829, 2432, 2411, 2225, 2141,
-      1912, 1668,
-    ],
-    [
-      2830, 2831, 2832, 2833, 2834, 2835, 2836, 2837, 2431, 2415, 2224, 2173,
-      1920, 1676,
-    ],
-    [
-      2838, 2839, 2840, 2841, 2842, 2843, 2844, 2845, 2435, 2420, 2241, 2157,
-      1916, 1683,
-    ],
-    [
-      2846, 2847, 2848, 2849, 2850, 2851, 2852, 2853, 2434, 2425, 2240, 2189,
-      1924, 1691,
-    ],
-    [
-      2854, 2855, 2856, 2857, 2858, 2859, 2790, 2860, 2459, 2456, 2187, 2171,
-      1901, 1716,
-    ],
-    [
-      2861, 2862, 2863, 2864, 2865, 2866, 2798, 2867, 2465, 2438, 2206, 2106,
-      1905, 1725,
-    ],
-    [
-      2868, 2869, 2870, 2871, 2872, 2873, 2806, 2874, 2467, 2447, 2205, 2122,
-      1908, 1733,
-    ],
-    [
-      2875, 2876, 2877, 2878, 2879, 2880, 2828, 2881, 2470, 2443, 2222, 2138,
-      1913, 1741,
-    ],
-    [
-      2882, 2883, 2884, 2885, 2886, 2887, 2844, 2888, 2475, 2452, 2238, 2154,
-      1917, 1749,
-    ],
-    [
-      2889, 2890, 2891, 2892, 2893, 2894, 2836, 2895, 2478, 2454, 2221, 2170,
-      1921, 1757,
-    ],
-    [
-      2896, 2897, 2898, 2899, 2900, 2901, 2852, 2902, 2484, 2458, 2237, 2186,
-      1925, 1765,
-    ],
-    [
-      2903, 2904, 2905, 2906, 2907, 2908, 2909, 2910, 2486, 2463, 2257, 2204,
-      1929, 1773,
-    ],
-    [
-      2911, 2912, 2913, 2914, 2915, 2916, 2909, 2917, 2491, 2466, 2256, 2202,
-      1928, 1781,
-    ],
-    [
-      2918, 2919, 2920, 2921, 2922, 2923, 2924, 2925, 2487, 2471, 2255, 2220,
-      1932, 1789,
-    ],
-    [
-      2926, 2927, 2928, 2929, 2930, 2931, 2932, 2933, 2493, 2474, 2253, 2236,
-      1936, 1796,
-    ],
-    [
-      2934, 2935, 2936, 2937, 2938, 2939, 2924, 2940, 2495, 2480, 2251, 2218,
-      1933, 1803,
-    ],
-    [
-      2941, 2942, 2943, 2944, 2945, 2946, 2932, 2947, 2494, 2485, 2250, 2234,
-      1937, 1811,
-    ],
-    [
-      2948, 2949, 2950, 2951, 2952, 2953, 2954, 2955, 2956, 2957, 2958, 2959,
-      2960, 2961, 2962, 2963, 2598, 2299, 2296, 2558, 2550, 2275, 2270, 2513,
-      2505, 2260, 1440, 1400, 1392, 1350, 1341, 1271,
-    ],
-    [
-      2964, 2965, 2966, 2967, 2968, 2969, 2970, 2971, 2972, 2973, 2974, 2975,
-      2976, 2977, 2978, 2979, 2634, 2308, 2303, 2582, 2566, 2288, 2280, 2535,
-      2520, 2262, 1447, 1424, 1408, 1376, 1358, 1277,
-    ],
-    [
-      2980, 2981, 2982, 2983, 2984, 2985, 2986, 2987, 2988, 2989, 2990, 2991,
-      2992, 2993, 2994, 2995, 2642, 2316, 2310, 2590, 2574, 2290, 2284, 2542,
-      2527, 2268, 1454, 1432, 1416, 1384, 1367, 1283,
-    ],
-    [
-      2996, 2997, 2998, 2999, 3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007,
-      3008, 3009, 3010, 3011, 2775, 2384, 2380, 2701, 2685, 2335, 2330, 2612,
-      2605, 2320, 1603, 1529, 1521, 1470, 1461, 1289,
-    ],
-    [
-      3012, 3013, 3014, 3015, 3016, 3017, 3018, 3019, 3020, 3021, 3022, 3023,
-      3024, 3025, 3026, 3027, 2783, 2390, 2386, 2709, 2693, 2342, 2338, 2626,
-      2619, 2322, 1610, 1545, 1537, 1487, 1478, 1295,
-    ],
-    [
-      3028, 3029, 3030, 3031, 3032, 3033, 3034, 3035, 3036, 3037, 3038, 3039,
-      3040, 3041, 3042, 3043, 2791, 2400, 2396, 2725, 2717, 2350, 2346, 2656,
-      2649, 2328, 1649, 1579, 1571, 1504, 1495, 1301,
-    ],
-    [
-      3044, 3045, 3046, 3047, 3048, 3049, 3050, 3051, 3052, 3053, 3054, 3055,
-      3056, 3057, 3058, 3059, 2428, 2807, 2799, 2406, 2402, 2739, 2732, 2360,
-      2356, 2663, 1664, 1656, 1595, 1587, 1512, 1307,
-    ],
-    [
-      3060, 3061, 3062, 3063, 3064, 3065, 3066, 3067, 3068, 3069, 3070, 3071,
-      3072, 3073, 3074, 3075, 2430, 2837, 2829, 2414, 2410, 2760, 2746, 2366,
-      2362, 2670, 1679, 1671, 1625, 1617, 1553, 1313,
-    ],
-    [
-      3076, 3077, 3078, 3079, 3080, 3081, 3082, 3083, 3084, 3085, 3086, 3087,
-      3088, 3089, 3090, 3091, 2436, 2853, 2845, 2422, 2419, 2767, 2753, 2376,
-      2372, 2677, 1694, 1686, 1641, 1633, 1562, 1319,
-    ],
-    [
-      3092, 3093, 3094, 3095, 3096, 3097, 3098, 3099, 3100, 3101, 3102, 3103,
-      3104, 3105, 3106, 3107, 2488, 2925, 2910, 2472, 2462, 2881, 2867, 2442,
-      2440, 2814, 1792, 1776, 1744, 1728, 1701, 1325,
-    ],
-    [
-      3108, 3109, 3110, 3111, 3112, 3113, 3114, 3115, 3116, 3117, 3118, 3119,
-      3120, 3121, 3122, 3123, 2490, 2933, 2917, 2476, 2468, 2888, 2874, 2451,
-      2448, 2821, 1799, 1784, 1752, 1736, 1710, 1331,
-    ],
-    [
-      3124, 3125, 3126, 3127, 3128, 3129, 3130, 3131, 3132, 3133, 3134, 3135,
-      3136, 3137, 3138, 3139, 2496, 2947, 2940, 2482, 2479, 2902, 2895, 2460,
-      2455, 2860, 1814, 1806, 1768, 1760, 1719, 1337,
-    ],
-    [2502, 1942, 2518, 3140, 3141, 3142, 3143],
-    [1940, 2510, 2525, 3144, 3145, 3146, 3147],
-    [1939, 2540, 2532, 3148, 3149, 3150, 3151],
-    [2516, 1958, 2500, 3152, 3153, 3154, 3155],
-    [1974, 2523, 2508, 3156, 3157, 3158, 3159],
-    [1990, 2530, 2538, 3160, 3161, 3162, 3163],
-    [2603, 1956, 2547, 3164, 3165, 3166, 3167],
-    [1955, 2563, 2610, 3168, 3169, 3170, 3171],
-    [1972, 2617, 2555, 3172, 3173, 3174, 3175],
-    [1971, 2571, 2624, 3176, 3177, 3178, 3179],
-    [1988, 2647, 2579, 3180, 3181, 3182, 3183],
-    [2654, 1987, 2587, 3184, 3185, 3186, 3187],
-    [2545, 2006, 2601, 3188, 3189, 3190, 3191],
-    [2022, 2615, 2553, 3192, 3193, 3194, 3195],
-    [2038, 2561, 2608, 3196, 3197, 3198, 3199],
-    [2622, 2054, 2569, 3200, 3201, 3202, 3203],
-    [2070, 2577, 2645, 3204, 3205, 3206, 3207],
-    [2585, 2086, 2652, 3208, 3209, 3210, 3211],
-    [2004, 2595, 2661, 3212, 3213, 3214, 3215],
-    [2020, 2659, 2593, 3216, 3217, 3218, 3219],
-    [2668, 2036, 2631, 3220, 3221, 3222, 3223],
-    [2666, 2629, 2068, 3224, 3225, 3226, 3227],
-    [2052, 2675, 2639, 3228, 3229, 3230, 3231],
-    [2084, 2637, 2673, 3232, 3233, 3234, 3235],
-    [2003, 2730, 2682, 3236, 3237, 3238, 3239],
-    [2019, 2737, 2690, 3240, 3241, 3242, 3243],
-    [2744, 2035, 2698, 3244, 3245, 3246, 3247],
-    [2706, 2051, 2751, 3248, 3249, 3250, 3251],
-    [2758, 2067, 2714, 3252, 3253, 3254, 3255],
-    [2083, 2765, 2722, 3256, 3257, 3258, 3259],
-    [2102, 2680, 2728, 3260, 3261, 3262, 3263],
-    [2688, 2118, 2735, 3264, 3265, 3266, 3267],
-    [2742, 2696, 2134, 3268, 3269, 3270, 3271],
-    [2704, 2150, 2749, 3272, 3273, 3274, 3275],
-    [2166, 2712, 2756, 3276, 3277, 3278, 3279],
-    [2182, 2720, 2763, 3280, 3281, 3282, 3283],
-    [2100, 2812, 2772, 3284, 3285, 3286, 3287],
-    [2132, 2770, 2810, 3288, 3289, 3290, 3291],
-    [2780, 2116, 2819, 3292, 3293, 3294, 3295],
-    [2778, 2148, 2817, 3296, 3297, 3298, 3299],
-    [2164, 2788, 2858, 3300, 3301, 3302, 3303],
-    [2180, 2856, 2786, 3304, 3305, 3306, 3307],
-    [2865, 2099, 2796, 3308, 3309, 3310, 3311],
-    [2115, 2872, 2804, 3312, 3313, 3314, 3315],
-    [2826, 2131, 2879, 3316, 3317, 3318, 3319],
-    [2147, 2842, 2886, 3320, 3321, 3322, 3323],
-    [2163, 2834, 2893, 3324, 3325, 3326, 3327],
-    [2900, 2179, 2850, 3328, 3329, 3330, 3331],
-    [2794, 2198, 2863, 3332, 3333, 3334, 3335],
-    [2196, 2802, 2870, 3336, 3337, 3338, 3339],
-    [2214, 2877, 2824, 3340, 3341, 3342, 3343],
-    [2212, 2832, 2891, 3344, 3345, 3346, 3347],
-    [2230, 2840, 2884, 3348, 3349, 3350, 3351],
-    [2848, 2228, 2898, 3352, 3353, 3354, 3355],
-    [2195, 2915, 2907, 3356, 3357, 3358, 3359],
-    [2211, 2922, 2938, 3360, 3361, 3362, 3363],
-    [2930, 2227, 2945, 3364, 3365, 3366, 3367],
-    [2246, 2905, 2913, 3368, 3369, 3370, 3371],
-    [2244, 2936, 2920, 3372, 3373, 3374, 3375],
-    [2943, 2243, 2928, 3376, 3377, 3378, 3379],
-    [
-      3380, 3381, 3382, 3383, 3384, 3385, 3386, 3144, 3140, 2963, 2511, 2503,
-      1944, 2261,
-    ],
-    [
-      3387, 3388, 3389, 3390, 3391, 3392, 3393, 3149, 3141, 2979, 2533, 2519,
-      1943, 2264,
-    ],
-    [
-      3394, 3395, 3396, 3397, 3398, 3399, 3400, 3148, 3146, 2995, 2541, 2526,
-      1941, 2269,
-    ],
-    [
-      3401, 3402, 3403, 3404, 3405, 3406, 3407, 3165, 3153, 2962, 2548, 2501,
-      1960, 2271,
-    ],
-    [
-      3408, 3409, 3410, 3411, 3412, 3413, 3414, 3172, 3159, 2961, 2556, 2509,
-      1976, 2277,
-    ],
-    [
-      3415, 3416, 3417, 3418, 3419, 3420, 3421, 3168, 3152, 2978, 2564, 2517,
-      1959, 2281,
-    ],
-    [
-      3422, 3423, 3424, 3425, 3426, 3427, 3428, 3176, 3156, 2994, 2572, 2524,
-      1975, 2285,
-    ],
-    [
-      3429, 3430, 3431, 3432, 3433, 3434, 3435, 3183, 3160, 2977, 2580, 2531,
-      1992, 2289,
-    ],
-    [
-      3436, 3437, 3438, 3439, 3440, 3441, 3442, 3185, 3161, 2993, 2588, 2539,
-      1991, 2292,
-    ],
-    [
-      3443, 3444, 3445, 3446, 3447, 3448, 3449, 3212, 3188, 2960, 2596, 2546,
-      2008, 2297,
-    ],
-    [
-      3450, 3451, 3452, 3453, 3454, 3455, 3456, 3219, 3192, 2959, 2594, 2554,
-      2024, 2301,
-    ],
-    [
-      3457, 3458, 3459, 3460, 3461, 3462, 3463, 3169, 3164, 3011, 2611, 2604,
-      1957, 2321,
-    ],
-    [
-      3464, 3465, 3466, 3467, 3468, 3469, 3470, 3177, 3173, 3027, 2625, 2618,
-      1973, 2325,
-    ],
-    [
-      3471, 3472, 3473, 3474, 3475, 3476, 3477, 3220, 3197, 2976, 2632, 2562,
-      2040, 2305,
-    ],
-    [
-      3478, 3479, 3480, 3481, 3482, 3483, 3484, 3224, 3204, 2975, 2630, 2578,
-      2072, 2309,
-    ],
-    [
-      3485, 3486, 3487, 3488, 3489, 3490, 3491, 3230, 3200, 2992, 2640, 2570,
-      2056, 2313,
-    ],
-    [
-      3492, 3493, 3494, 3495, 3496, 3497, 3498, 3232, 3208, 2991, 2638, 2586,
-      2088, 2317,
-    ],
-    [
-      3499, 3500, 3501, 3502, 3503, 3504, 3505, 3184, 3180, 3043, 2655, 2648,
-      1989, 2329,
-    ],
-    [
-      3506, 3507, 3508, 3509, 3510, 3511, 3512, 3237, 3189, 3010, 2683, 2602,
-      2007, 2332,
-    ],
-    [
-      3513, 3514, 3515, 3516, 3517, 3518, 3519, 3241, 3193, 3026, 2691, 2616,
-      2023, 2341,
-    ],
-    [
-      3520, 3521, 3522, 3523, 3524, 3525, 3526, 3244, 3198, 3009, 2699, 2609,
-      2039, 2337,
-    ],
-    [
-      3527, 3528, 3529, 3530, 3531, 3532, 3533, 3249, 3201, 3025, 2707, 2623,
-      2055, 2345,
-    ],
-    [
-      3534, 3535, 3536, 3537, 3538, 3539, 3540, 3252, 3206, 3042, 2715, 2646,
-      2071, 2349,
-    ],
-    [
-      3541, 3542, 3543, 3544, 3545, 3546, 3547, 3257, 3209, 3041, 2723, 2653,
-      2087, 2352,
-    ],
-    [
-      3548, 3549, 3550, 3551, 3552, 3553, 3554, 3236, 3214, 3059, 2731, 2662,
-      2005, 2357,
-    ],
-    [
-      3555, 3556, 3557, 3558, 3559, 3560, 3561, 3240, 3216, 3058, 2738, 2660,
-      2021, 2361,
-    ],
-    [
-      3562, 3563, 3564, 3565, 3566, 3567, 3568, 3245, 3221, 3075, 2745, 2669,
-      2037, 2363,
-    ],
-    [
-      3569, 3570, 3571, 3572, 3573, 3574, 3575, 3253, 3225, 3074, 2759, 2667,
-      2069, 2369,
-    ],
-    [
-      3576, 3577, 3578, 3579, 3580, 3581, 3582, 3248, 3228, 3091, 2752, 2676,
-      2053, 2373,
-    ],
-    [
-      3583, 3584, 3585, 3586, 3587, 3588, 3589, 3256, 3235, 3090, 2766, 2674,
-      2085, 2377,
-    ],
-    [
-      3590, 3591, 3592, 3593, 3594, 3595, 3596, 3287, 3260, 3008, 2773, 2681,
-      2104, 2381,
-    ],
-    [
-      3597, 3598, 3599, 3600, 3601, 3602, 3603, 3288, 3268, 3007, 2771, 2697,
-      2136, 2385,
-    ],
-    [
-      3604, 3605, 3606, 3607, 3608, 3609, 3610, 3293, 3265, 3024, 2781, 2689,
-      2120, 2389,
-    ],
-    [
-      3611, 3612, 3613, 3614, 3615, 3616, 3617, 3297, 3273, 3023, 2779, 2705,
-      2152, 2391,
-    ],
-    [
-      3618, 3619, 3620, 3621, 3622, 3623, 3624, 3300, 3276, 3040, 2789, 2713,
-      2168, 2397,
-    ],
-    [
-      3625, 3626, 3627, 3628, 3629, 3630, 3631, 3306, 3280, 3039, 2787, 2721,
-      2184, 2401,
-    ],
-    [
-      3632, 3633, 3634, 3635, 3636, 3637, 3638, 3309, 3261, 3057, 2797, 2729,
-      2103, 2404,
-    ],
-    [
-      3639, 3640, 3641, 3642, 3643, 3644, 3645, 3314, 3264, 3056, 2805, 2736,
-      2119, 2409,
-    ],
-    [
-      3646, 3647, 3648, 3649, 3650, 3651, 3652, 3317, 3269, 3073, 2827, 2743,
-      2135, 2413,
-    ],
-    [
-      3653, 3654, 3655, 3656, 3657, 3658, 3659, 3321, 3272, 3089, 2843, 2750,
-      2151, 2421,
-    ],
-    [
-      3660, 3661, 3662, 3663, 3664, 3665, 3666, 3325, 3277, 3072, 2835, 2757,
-      2167, 2417,
-    ],
-    [
-      3667, 3668, 3669, 3670, 3671, 3672, 3673, 3329, 3281, 3088, 2851, 2764,
-      2183, 2424,
-    ],
-    [
-      3674, 3675, 3676, 3677, 3678, 3679, 3680, 3336, 3332, 3055, 2803, 2795,
-      2200, 2429,
-    ],
-    [
-      3681, 3682, 3683, 3684, 3685, 3686, 3687, 3308, 3284, 3107, 2866, 2813,
-      2101, 2441,
-    ],
-    [
-      3688, 3689, 3690, 3691, 3692, 3693, 3694, 3316, 3290, 3106, 2880, 2811,
-      2133, 2445,
-    ],
-    [
-      3695, 3696, 3697, 3698, 3699, 3700, 3701, 3312, 3292, 3123, 2873, 2820,
-      2117, 2449,
-    ],
-    [
-      3702, 3703, 3704, 3705, 3706, 3707, 3708, 3322, 3296, 3122, 2887, 2818,
-      2149, 2453,
-    ],
-    [
-      3709, 3710, 3711, 3712, 3713, 3714, 3715, 3345, 3341, 3071, 2833, 2825,
-      2216, 2433,
-    ],
-    [
-      3716, 3717, 3718, 3719, 3720, 3721, 3722, 3352, 3348, 3087, 2849, 2841,
-      2232, 2437,
-    ],
-    [
-      3723, 3724, 3725, 3726, 3727, 3728, 3729, 3324, 3303, 3139, 2894, 2859,
-      2165, 2457,
-    ],
-    [
-      3730, 3731, 3732, 3733, 3734, 3735, 3736, 3328, 3304, 3138, 2901, 2857,
-      2181, 2461,
-    ],
-    [
-      3737, 3738, 3739, 3740, 3741, 3742, 3743, 3357, 3333, 3105, 2908, 2864,
-      2199, 2464,
-    ],
-    [
-      3744, 3745, 3746, 3747, 3748, 3749, 3750, 3356, 3339, 3121, 2916, 2871,
-      2197, 2469,
-    ],
-    [
-      3751, 3752, 3753, 3754, 3755, 3756, 3757, 3360, 3340, 3104, 2923, 2878,
-      2215, 2473,
-    ],
-    [
-      3758, 3759, 3760, 3761, 3762, 3763, 3764, 3364, 3349, 3120, 2931, 2885,
-      2231, 2477,
-    ],
-    [
-      3765, 3766, 3767, 3768, 3769, 3770, 3771, 3363, 3344, 3137, 2939, 2892,
-      2213, 2481,
-    ],
-    [
-      3772, 3773, 3774, 3775, 3776, 3777, 3778, 3365, 3353, 3136, 2946, 2899,
-      2229, 2483,
-    ],
-    [
-      3779, 3780, 3781, 3782, 3783, 3784, 3785, 3374, 3368, 3103, 2921, 2906,
-      2248, 2489,
-    ],
-    [
-      3786, 3787, 3788, 3789, 3790, 3791, 3792, 3377, 3369, 3119, 2929, 2914,
-      2247, 2492,
-    ],
-    [
-      3793, 3794, 3795, 3796, 3797, 3798, 3799, 3376, 3372, 3135, 2944, 2937,
-      2245, 2497,
-    ],
-    [2499, 2958, 3385, 3406, 3800, 3801, 3802],
-    [2507, 2957, 3413, 3383, 3803, 3804, 3805],
-    [2515, 2974, 3420, 3392, 3806, 3807, 3808],
-    [2990, 2522, 3427, 3399, 3809, 3810, 3811],
-    [3434, 2529, 2973, 3390, 3812, 3813, 3814],
-    [2537, 3397, 2989, 3441, 3815, 3816, 3817],
-    [2544, 2955, 3448, 3404, 3818, 3819, 3820],
-    [3411, 3455, 2552, 2953, 3821, 3822, 3823],
-    [2560, 2971, 3476, 3418, 3824, 3825, 3826],
-    [2568, 3425, 3490, 2987, 3827, 3828, 3829],
-    [2969, 2576, 3483, 3432, 3830, 3831, 3832],
-    [2584, 2985, 3497, 3439, 3833, 3834, 3835],
-    [2592, 2951, 3453, 3446, 3836, 3837, 3838],
-    [2628, 3474, 3481, 2967, 3839, 3840, 3841],
-    [2636, 2983, 3488, 3495, 3842, 3843, 3844],
-    [2600, 3006, 3462, 3511, 3845, 3846, 3847],
-    [2607, 3005, 3525, 3460, 3848, 3849, 3850],
-    [2614, 3022, 3469, 3518, 3851, 3852, 3853],
-    [3532, 3021, 2621, 3467, 3854, 3855, 3856],
-    [2644, 3038, 3539, 3504, 3857, 3858, 3859],
-    [2651, 3037, 3502, 3546, 3860, 3861, 3862],
-    [3054, 2658, 3560, 3553, 3863, 3864, 3865],
-    [3595, 2679, 3003, 3509, 3866, 3867, 3868],
-    [2695, 3523, 3602, 3001, 3869, 3870, 3871],
-    [3609, 3019, 2687, 3516, 3872, 3873, 3874],
-    [3017, 3616, 2703, 3530, 3875, 3876, 3877],
-    [3567, 3070, 2665, 3574, 3878, 3879, 3880],
-    [3086, 2672, 3581, 3588, 3881, 3882, 3883],
-    [2711, 3623, 3537, 3035, 3884, 3885, 3886],
-    [2719, 3630, 3033, 3544, 3887, 3888, 3889],
-    [2727, 3551, 3053, 3637, 3890, 3891, 3892],
-    [2734, 3558, 3644, 3051, 3893, 3894, 3895],
-    [2999, 2769, 3600, 3593, 3896, 3897, 3898],
-    [3015, 3614, 2777, 3607, 3899, 3900, 3901],
-    [3565, 3069, 2741, 3651, 3902, 3903, 3904],
-    [3572, 3067, 2755, 3665, 3905, 3906, 3907],
-    [2748, 3658, 3579, 3085, 3908, 3909, 3910],
-    [3586, 2762, 3083, 3672, 3911, 3912, 3913],
-    [3031, 2785, 3621, 3628, 3914, 3915, 3916],
-    [2793, 3049, 3679, 3635, 3917, 3918, 3919],
-    [2801, 3047, 3642, 3677, 3920, 3921, 3922],
-    [3649, 3065, 2823, 3714, 3923, 3924, 3925],
-    [2831, 3063, 3663, 3712, 3926, 3927, 3928],
-    [2839, 3081, 3656, 3721, 3929, 3930, 3931],
-    [2847, 3079, 3719, 3670, 3932, 3933, 3934],
-    [2809, 3102, 3693, 3686, 3935, 3936, 3937],
-    [2816, 3707, 3700, 3118, 3938, 3939, 3940],
-    [2855, 3134, 3728, 3735, 3941, 3942, 3943],
-    [2862, 3101, 3684, 3742, 3944, 3945, 3946],
-    [3117, 2869, 3698, 3749, 3947, 3948, 3949],
-    [2876, 3756, 3691, 3099, 3950, 3951, 3952],
-    [2883, 3115, 3705, 3763, 3953, 3954, 3955],
-    [3726, 3770, 2890, 3133, 3956, 3957, 3958],
-    [2897, 3131, 3733, 3777, 3959, 3960, 3961],
-    [2904, 3784, 3097, 3740, 3962, 3963, 3964],
-    [3747, 2912, 3113, 3791, 3965, 3966, 3967],
-    [3095, 2919, 3754, 3782, 3968, 3969, 3970],
-    [2927, 3111, 3761, 3789, 3971, 3972, 3973],
-    [2935, 3129, 3768, 3798, 3974, 3975, 3976],
-    [2942, 3127, 3796, 3775, 3977, 3978, 3979],
-    [
-      3980, 3981, 3982, 3983, 3984, 3985, 3986, 3150, 3400, 3393, 3145, 3142,
-      3386, 1938,
-    ],
-    [
-      3987, 3988, 3989, 3990, 3991, 3992, 3993, 3463, 3170, 3166, 3421, 3407,
-      3154, 1954,
-    ],
-    [
-      3994, 3995, 3996, 3997, 3998, 3999, 4000, 3470, 3178, 3175, 3428, 3414,
-      3157, 1970,
-    ],
-    [
-      4001, 4002, 4003, 4004, 4005, 4006, 4007, 3505, 3186, 3181, 3442, 3435,
-      3162, 1986,
-    ],
-    [
-      4008, 4009, 4010, 4011, 4012, 4013, 4014, 3238, 3554, 3512, 3213, 3190,
-      3449, 2002,
-    ],
-    [
-      4015, 4016, 4017, 4018, 4019, 4020, 4021, 3242, 3561, 3519, 3217, 3195,
-      3456, 2018,
-    ],
-    [
-      4022, 4023, 4024, 4025, 4026, 4027, 4028, 3247, 3568, 3526, 3223, 3196,
-      3477, 2034,
-    ],
-    [
-      4029, 4030, 4031, 4032, 4033, 4034, 4035, 3250, 3582, 3533, 3229, 3202,
-      3491, 2050,
-    ],
-    [
-      4036, 4037, 4038, 4039, 4040, 4041, 4042, 3254, 3575, 3540, 3226, 3205,
-      3484, 2066,
-    ],
-    [
-      4043, 4044, 4045, 4046, 4047, 4048, 4049, 3258, 3589, 3547, 3233, 3210,
-      3498, 2082,
-    ],
-    [
-      4050, 4051, 4052, 4053, 4054, 4055, 4056, 3687, 3310, 3285, 3638, 3596,
-      3262, 2098,
-    ],
-    [
-      4057, 4058, 4059, 4060, 4061, 4062, 4063, 3701, 3313, 3294, 3645, 3610,
-      3266, 2114,
-    ],
-    [
-      4064, 4065, 4066, 4067, 4068, 4069, 4070, 3694, 3318, 3289, 3652, 3603,
-      3270, 2130,
-    ],
-    [
-      4071, 4072, 4073, 4074, 4075, 4076, 4077, 3708, 3320, 3299, 3659, 3617,
-      3275, 2146,
-    ],
-    [
-      4078, 4079, 4080, 4081, 4082, 4083, 4084, 3729, 3327, 3301, 3666, 3624,
-      3278, 2162,
-    ],
-    [
-      4085, 4086, 4087, 4088, 4089, 4090, 4091, 3736, 3330, 3305, 3673, 3631,
-      3282, 2178,
-    ],
-    [
-      4092, 4093, 4094, 4095, 4096, 4097, 4098, 3358, 3750, 3743, 3337, 3334,
-      3680, 2194,
-    ],
-    [
-      4099, 4100, 4101, 4102, 4103, 4104, 4105, 3361, 3771, 3757, 3347, 3342,
-      3715, 2210,
-    ],
-    [
-      4106, 4107, 4108, 4109, 4110, 4111, 4112, 3366, 3778, 3764, 3354, 3350,
-      3722, 2226,
-    ],
-    [
-      4113, 4114, 4115, 4116, 4117, 4118, 4119, 3799, 3378, 3373, 3792, 3785,
-      3370, 2242,
-    ],
-    [3380, 3984, 4120, 4121, 4122, 4123, 4124],
-    [3387, 3982, 4125, 4126, 4127, 4128, 4129],
-    [3394, 3981, 4130, 4131, 4132, 4133, 4134],
-    [
-      4135, 4136, 4137, 4138, 4139, 4140, 4141, 4142, 4143, 4144, 4145, 4146,
-      4147, 4148, 4127, 4120, 4149, 4150, 4151, 4152, 3993, 3806, 3800, 3986,
-      3419, 3405, 3391, 3384, 3155, 3143, 2514, 2498,
-    ],
-    [
-      4153, 4154, 4155, 4156, 4157, 4158, 4159, 4160, 4161, 4162, 4163, 4164,
-      4165, 4166, 4131, 4121, 4167, 4168, 4169, 4170, 4000, 3811, 3805, 3985,
-      3426, 3412, 3398, 3382, 3158, 3147, 2521, 2506,
-    ],
-    [
-      4171, 4172, 4173, 4174, 4175, 4176, 4177, 4178, 4179, 4180, 4181, 4182,
-      4183, 4184, 4130, 4126, 4185, 4186, 4187, 4188, 4007, 3815, 3812, 3983,
-      3440, 3433, 3396, 3389, 3163, 3151, 2536, 2528,
-    ],
-    [
-      4189, 4190, 4191, 4192, 4193, 4194, 4195, 4122, 4170, 4152, 3803, 3801,
-      2956, 3381,
-    ],
-    [
-      4196, 4197, 4198, 4199, 4200, 4201, 4202, 4125, 4188, 4151, 3814, 3808,
-      2972, 3388,
-    ],
-    [
-      4203, 4204, 4205, 4206, 4207, 4208, 4209, 4132, 4187, 4169, 3816, 3810,
-      2988, 3395,
-    ],
-    [
-      4210, 4211, 4212, 4213, 4214, 4215, 4216, 4217, 4150, 4195, 3820, 3802,
-      3402, 2954,
-    ],
-    [
-      4218, 4219, 4220, 4221, 4222, 4223, 4224, 4225, 4168, 4194, 3822, 3804,
-      3409, 2952,
-    ],
-    [
-      4226, 4227, 4228, 4229, 4230, 4231, 4232, 4233, 4202, 4149, 3824, 3807,
-      2970, 3416,
-    ],
-    [
-      4234, 4235, 4236, 4237, 4238, 4239, 4240, 4241, 4209, 4167, 3828, 3809,
-      2986, 3423,
-    ],
-    [
-      4242, 4243, 4244, 4245, 4246, 4247, 4248, 4249, 4186, 4201, 3831, 3813,
-      3430, 2968,
-    ],
-    [
-      4250, 4251, 4252, 4253, 4254, 4255, 4256, 4257, 4185, 4208, 3835, 3817,
-      3437, 2984,
-    ],
-    [2948, 4193, 4224, 4216, 4258, 4259, 4260],
-    [3401, 3991, 4147, 4214, 4261, 4262, 4263],
-    [3415, 3989, 4146, 4232, 4264, 4265, 4266],
-    [3408, 3998, 4165, 4222, 4267, 4268, 4269],
-    [3422, 3996, 4164, 4240, 4270, 4271, 4272],
-    [2964, 4200, 4230, 4248, 4273, 4274, 4275],
-    [2980, 4207, 4238, 4256, 4276, 4277, 4278],
-    [3429, 4005, 4183, 4246, 4279, 4280, 4281],
-    [3436, 4003, 4182, 4254, 4282, 4283, 4284],
-    [
-      4285, 4286, 4287, 4288, 4289, 4290, 4291, 4259, 4292, 4217, 3836, 3819,
-      3444, 2950,
-    ],
-    [
-      4293, 4294, 4295, 4296, 4297, 4298, 4299, 4258, 4292, 4225, 3837, 3823,
-      3451, 2949,
-    ],
-    [
-      4300, 4301, 4302, 4303, 4304, 4305, 4306, 4273, 4307, 4231, 3841, 3825,
-      3472, 2966,
-    ],
-    [
-      4308, 4309, 4310, 4311, 4312, 4313, 4314, 4274, 4307, 4249, 3840, 3830,
-      3479, 2965,
-    ],
-    [
-      4315, 4316, 4317, 4318, 4319, 4320, 4321, 4276, 4322, 4239, 3844, 3829,
-      3486, 2982,
-    ],
-    [
-      4323, 4324, 4325, 4326, 4327, 4328, 4329, 4277, 4322, 4257, 3842, 3834,
-      3493, 2981,
-    ],
-    [3457, 3988, 4330, 4331, 4332, 4333, 4334],
-    [3464, 3995, 4335, 4336, 4337, 4338, 4339],
-    [3499, 4002, 4340, 4341, 4342, 4343, 4344],
-    [
-      4345, 4346, 4347, 4348, 4349, 4350, 4351, 4352, 4353, 4354, 4355, 4356,
-      4357, 4358, 4330, 4261, 4359, 4360, 4291, 4215, 3845, 4014, 3992, 3818,
-      3510, 3461, 3447, 3403, 3191, 3167, 2599, 2543,
-    ],
-    [
-      4361, 4362, 4363, 4364, 4365, 4366, 4367, 4368, 4369, 4370, 4371, 4372,
-      4373, 4374, 4335, 4267, 4375, 4376, 4299, 4223, 3851, 4021, 3999, 3821,
-      3517, 3468, 3454, 3410, 3194, 3174, 2613, 2551,
-    ],
-    [
-      4377, 4378, 4379, 4380, 4381, 4382, 4383, 4384, 4385, 4386, 4387, 4388,
-      4389, 4390, 4331, 4264, 4391, 4392, 4306, 4233, 4028, 3850, 3826, 3990,
-      3524, 3459, 3475, 3417, 3199, 3171, 2606, 2559,
-    ],
-    [
-      4393, 4394, 4395, 4396, 4397, 4398, 4399, 4400, 4401, 4402, 4403, 4404,
-      4405, 4406, 4336, 4270, 4407, 4408, 4321, 4241, 4035, 3854, 3827, 3997,
-      3531, 3466, 3489, 3424, 3203, 3179, 2620, 2567,
-    ],
-    [
-      4409, 4410, 4411, 4412, 4413, 4414, 4415, 4416, 4417, 4418, 4419, 4420,
-      4421, 4422, 4341, 4279, 4423, 4424, 4314, 4247, 3858, 4042, 4006, 3832,
-      3538, 3503, 3482, 3431, 3207, 3182, 2643, 2575,
-    ],
-    [
-      4425, 4426, 4427, 4428, 4429, 4430, 4431, 4432, 4433, 4434, 4435, 4436,
-      4437, 4438, 4340, 4282, 4439, 4440, 4329, 4255, 3860, 4049, 4004, 3833,
-      3545, 3501, 3496, 3438, 3211, 3187, 2650, 2583,
-    ],
-    [3443, 4012, 4289, 4357, 4441, 4442, 4443],
-    [3450, 4019, 4297, 4373, 4444, 4445, 4446],
-    [3471, 4026, 4304, 4389, 4447, 4448, 4449],
-    [4040, 3478, 4312, 4421, 4450, 4451, 4452],
-    [3485, 4033, 4319, 4405, 4453, 4454, 4455],
-    [3492, 4047, 4327, 4437, 4456, 4457, 4458],
-    [
-      4459, 4460, 4461, 4462, 4463, 4464, 4465, 4332, 4392, 4360, 3848, 3846,
-      3004, 3458,
-    ],
-    [
-      4466, 4467, 4468, 4469, 4470, 4471, 4472, 4337, 4408, 4376, 3856, 3852,
-      3020, 3465,
-    ],
-    [
-      4473, 4474, 4475, 4476, 4477, 4478, 4479, 4342, 4440, 4424, 3861, 3857,
-      3036, 3500,
-    ],
-    [
-      4480, 4481, 4482, 4483, 4484, 4485, 4486, 4487, 4488, 4489, 4490, 4491,
-      4492, 4493, 4444, 4441, 4494, 4495, 4298, 4290, 3865, 4020, 4013, 3838,
-      3559, 3552, 3452, 3445, 3218, 3215, 2657, 2591,
-    ],
-    [
-      4496, 4497, 4498, 4499, 4500, 4501, 4502, 4503, 4504, 4505, 4506, 4507,
-      4508, 4509, 4450, 4447, 4510, 4511, 4313, 4305, 3879, 4041, 4027, 3839,
-      3573, 3566, 3480, 3473, 3227, 3222, 2664, 2627,
-    ],
-    [
-      4512, 4513, 4514, 4515, 4516, 4517, 4518, 4519, 4520, 4521, 4522, 4523,
-      4524, 4525, 4456, 4453, 4526, 4527, 4328, 4320, 3883, 4048, 4034, 3843,
-      3587, 3580, 3494, 3487, 3234, 3231, 2671, 2635,
-    ],
-    [3506, 4010, 4356, 4528, 4529, 4530, 4531],
-    [3513, 4017, 4372, 4532, 4533, 4534, 4535],
-    [3520, 4024, 4388, 4536, 4537, 4538, 4539],
-    [3527, 4031, 4404, 4540, 4541, 4542, 4543],
-    [3534, 4038, 4420, 4544, 4545, 4546, 4547],
-    [3541, 4045, 4436, 4548, 4549, 4550, 4551],
-    [
-      4552, 4553, 4554, 4555, 4556, 4557, 4528, 4558, 4465, 4359, 3868, 3847,
-      3002, 3507,
-    ],
-    [
-      4559, 4560, 4561, 4562, 4563, 4564, 4536, 4565, 4464, 4391, 3871, 3849,
-      3000, 3521,
-    ],
-    [
-      4566, 4567, 4568, 4569, 4570, 4571, 4532, 4572, 4472, 4375, 3874, 3853,
-      3018, 3514,
-    ],
-    [
-      4573, 4574, 4575, 4576, 4577, 4578, 4540, 4579, 4471, 4407, 3877, 3855,
-      3016, 3528,
-    ],
-    [
-      4580, 4581, 4582, 4583, 4584, 4585, 4544, 4586, 4479, 4423, 3886, 3859,
-      3034, 3535,
-    ],
-    [
-      4587, 4588, 4589, 4590, 4591, 4592, 4548, 4593, 4478, 4439, 3889, 3862,
-      3032, 3542,
-    ],
-    [3548, 4009, 4493, 4594, 4595, 4596, 4597],
-    [3555, 4016, 4491, 4598, 4599, 4600, 4601],
-    [2996, 4463, 4563, 4556, 4602, 4603, 4604],
-    [3012, 4577, 4470, 4570, 4605, 4606, 4607],
-    [3562, 4023, 4509, 4608, 4609, 4610, 4611],
-    [3569, 4037, 4507, 4612, 4613, 4614, 4615],
-    [4030, 3576, 4525, 4616, 4617, 4618, 4619],
-    [3583, 4044, 4523, 4620, 4621, 4622, 4623],
-    [3028, 4477, 4584, 4591, 4624, 4625, 4626],
-    [
-      4627, 4628, 4629, 4630, 4631, 4632, 4633, 4634, 4635, 4636, 4637, 4638,
-      4639, 4640, 4594, 4529, 4641, 4642, 4643, 4558, 4056, 3890, 3866, 4011,
-      3636, 3594, 3550, 3508, 3263, 3239, 2726, 2678,
-    ],
-    [
-      4644, 4645, 4646, 4647, 4648, 4649, 4650, 4595, 4643, 4495, 3891, 3864,
-      3052, 3549,
-    ],
-    [
-      4651, 4652, 4653, 4654, 4655, 4656, 4650, 4599, 4657, 4494, 3894, 3863,
-      3050, 3556,
-    ],
-    [
-      4658, 4659, 4660, 4661, 4662, 4663, 4642, 4603, 4664, 4557, 3897, 3867,
-      3591, 2998,
-    ],
-    [
-      4665, 4666, 4667, 4668, 4669, 4670, 4671, 4602, 4664, 4564, 3896, 3870,
-      3598, 2997,
-    ],
-    [
-      4672, 4673, 4674, 4675, 4676, 4677, 4678, 4679, 4680, 4681, 4682, 4683,
-      4684, 4685, 4598, 4533, 4686, 4687, 4657, 4572, 4063, 3893, 3872, 4018,
-      3643, 3608, 3557, 3515, 3267, 3243, 2733, 2686,
-    ],
-    [
-      4688, 4689, 4690, 4691, 4692, 4693, 4694, 4695, 4696, 4697, 4698, 4699,
-      4700, 4701, 4609, 4537, 4702, 4671, 4703, 4565, 4070, 3903, 3869, 4025,
-      3650, 3601, 3564, 3522, 3271, 3246, 2740, 2694,
-    ],
-    [
-      4704, 4705, 4706, 4707, 4708, 4709, 4687, 4606, 4710, 4571, 3901, 3873,
-      3605, 3014,
-    ],
-    [
-      4711, 4712, 4713, 4714, 4715, 4716, 4717, 4605, 4710, 4578, 3899, 3875,
-      3612, 3013,
-    ],
-    [
-      4718, 4719, 4720, 4721, 4722, 4723, 4724, 4608, 4703, 4511, 3902, 3878,
-      3068, 3563,
-    ],
-    [
-      4725, 4726, 4727, 4728, 4729, 4730, 4724, 4613, 4731, 4510, 3906, 3880,
-      3066, 3570,
-    ],
-    [
-      4732, 4733, 4734, 4735, 4736, 4737, 4738, 4739, 4740, 4741, 4742, 4743,
-      4744, 4745, 4616, 4541, 4746, 4717, 4747, 4579, 4077, 3908, 3876, 4032,
-      3657, 3615, 3578, 3529, 3274, 3251, 2747, 2702,
-    ],
-    [
-      4748, 4749, 4750, 4751, 4752, 4753, 4754, 4755, 4756, 4757, 4758, 4759,
-      4760, 4761, 4612, 4545, 4762, 4763, 4731, 4586, 4084, 3905, 3884, 4039,
-      3664, 3622, 3571, 3536, 3279, 3255, 2754, 2710,
-    ],
-    [
-      4764, 4765, 4766, 4767, 4768, 4769, 4770, 4617, 4747, 4527, 3909, 3881,
-      3084, 3577,
-    ],
-    [
-      4771, 4772, 4773, 4774, 4775, 4776, 4770, 4621, 4777, 4526, 3912, 3882,
-      3082, 3584,
-    ],
-    [
-      4778, 4779, 4780, 4781, 4782, 4783, 4763, 4624, 4784, 4585, 3914, 3885,
-      3619, 3030,
-    ],
-    [
-      4785, 4786, 4787, 4788, 4789, 4790, 4791, 4625, 4784, 4592, 3915, 3888,
-      3626, 3029,
-    ],
-    [
-      4792, 4793, 4794, 4795, 4796, 4797, 4798, 4799, 4800, 4801, 4802, 4803,
-      4804, 4805, 4620, 4549, 4806, 4791, 4777, 4593, 4091, 3911, 3887, 4046,
-      3671, 3629, 3585, 3543, 3283, 3259, 2761, 2718,
-    ],
-    [3044, 4648, 4655, 4807, 4808, 4809, 4810],
-    [3590, 4054, 4662, 4639, 4811, 4812, 4813],
-    [4068, 3597, 4669, 4700, 4814, 4815, 4816],
-    [3604, 4061, 4708, 4684, 4817, 4818, 4819],
-    [3611, 4075, 4744, 4715, 4820, 4821, 4822],
-    [3060, 4729, 4722, 4823, 4824, 4825, 4826],
-    [3076, 4775, 4768, 4827, 4828, 4829, 4830],
-    [3618, 4082, 4782, 4760, 4831, 4832, 4833],
-    [3625, 4089, 4789, 4804, 4834, 4835, 4836],
-    [
-      4837, 4838, 4839, 4840, 4841, 4842, 4807, 4843, 4641, 4649, 3919, 3892,
-      3633, 3048,
-    ],
-    [
-      4844, 4845, 4846, 4847, 4848, 4849, 4808, 4850, 4686, 4656, 3922, 3895,
-      3640, 3046,
-    ],
-    [
-      4851, 4852, 4853, 4854, 4855, 4856, 4825, 4857, 4702, 4723, 3924, 3904,
-      3647, 3064,
-    ],
-    [
-      4858, 4859, 4860, 4861, 4862, 4863, 4823, 4864, 4762, 4730, 3927, 3907,
-      3661, 3062,
-    ],
-    [
-      4865, 4866, 4867, 4868, 4869, 4870, 4828, 4871, 4746, 4769, 3930, 3910,
-      3654, 3080,
-    ],
-    [
-      4872, 4873, 4874, 4875, 4876, 4877, 4827, 4878, 4806, 4776, 3934, 3913,
-      3668, 3078,
-    ],
-    [3632, 4052, 4638, 4841, 4879, 4880, 4881],
-    [3639, 4059, 4683, 4848, 4882, 4883, 4884],
-    [3646, 4066, 4699, 4855, 4885, 4886, 4887],
-    [3653, 4073, 4743, 4869, 4888, 4889, 4890],
-    [3660, 4080, 4759, 4862, 4891, 4892, 4893],
-    [3667, 4087, 4803, 4876, 4894, 4895, 4896],
-    [
-      4897, 4898, 4899, 4900, 4901, 4902, 4903, 4904, 4905, 4906, 4907, 4908,
-      4909, 4910, 4814, 4811, 4911, 4912, 4670, 4663, 3936, 4069, 4055, 3898,
-      3692, 3685, 3599, 3592, 3291, 3286, 2808, 2768,
-    ],
-    [
-      4913, 4914, 4915, 4916, 4917, 4918, 4919, 4920, 4921, 4922, 4923, 4924,
-      4925, 4926, 4820, 4817, 4927, 4928, 4716, 4709, 3938, 4076, 4062, 3900,
-      3706, 3699, 3613, 3606, 3298, 3295, 2815, 2776,
-    ],
-    [
-      4929, 4930, 4931, 4932, 4933, 4934, 4935, 4936, 4937, 4938, 4939, 4940,
-      4941, 4942, 4834, 4831, 4943, 4944, 4790, 4783, 3943, 4090, 4083, 3916,
-      3734, 3727, 3627, 3620, 3307, 3302, 2854, 2784,
-    ],
-    [
-      4945, 4946, 4947, 4948, 4949, 4950, 4951, 4809, 4850, 4843, 3920, 3918,
-      3675, 3045,
-    ],
-    [
-      4952, 4953, 4954, 4955, 4956, 4957, 4958, 4824, 4864, 4857, 3928, 3925,
-      3710, 3061,
-    ],
-    [
-      4959, 4960, 4961, 4962, 4963, 4964, 4965, 4829, 4878, 4871, 3933, 3929,
-      3717, 3077,
-    ],
-    [3681, 4051, 4910, 4966, 4967, 4968, 4969],
-    [3688, 4065, 4908, 4970, 4971, 4972, 4973],
-    [4058, 3695, 4926, 4974, 4975, 4976, 4977],
-    [3702, 4072, 4924, 4978, 4979, 4980, 4981],
-    [3723, 4079, 4942, 4982, 4983, 4984, 4985],
-    [3730, 4086, 4940, 4986, 4987, 4988, 4989],
-    [
-      4990, 4991, 4992, 4993, 4994, 4995, 4996, 4997, 4998, 4999, 5000, 5001,
-      5002, 5003, 4966, 4879, 5004, 5005, 4951, 4842, 3944, 4098, 4053, 3917,
-      3741, 3683, 3678, 3634, 3335, 3311, 2861, 2792,
-    ],
-    [
-      5006, 5007, 5008, 5009, 5010, 5011, 5012, 5013, 5014, 5015, 5016, 5017,
-      5018, 5019, 4974, 4882, 5020, 5021, 4950, 4849, 3949, 4097, 4060, 3921,
-      3748, 3697, 3676, 3641, 3338, 3315, 2868, 2800,
-    ],
-    [
-      5022, 5023, 5024, 5025, 5026, 5027, 5028, 5029, 5030, 5031, 5032, 5033,
-      5034, 5035, 4970, 4885, 5036, 5037, 4958, 4856, 4105, 3950, 3923, 4067,
-      3755, 3690, 3713, 3648, 3343, 3319, 2875, 2822,
-    ],
-    [
-      5038, 5039, 5040, 5041, 5042, 5043, 5044, 5045, 5046, 5047, 5048, 5049,
-      5050, 5051, 4978, 4888, 5052, 5053, 4965, 4870, 4112, 3955, 3931, 4074,
-      3762, 3704, 3720, 3655, 3351, 3323, 2882, 2838,
-    ],
-    [
-      5054, 5055, 5056, 5057, 5058, 5059, 5060, 5061, 5062, 5063, 5064, 5065,
-      5066, 5067, 4982, 4891, 5068, 5069, 4957, 4863, 3956, 4104, 4081, 3926,
-      3769, 3725, 3711, 3662, 3346, 3326, 2889, 2830,
-    ],
-    [
-      5070, 5071, 5072, 5073, 5074, 5075, 5076, 5077, 5078, 5079, 5080, 5081,
-      5082, 5083, 4986, 4894, 5084, 5085, 4964, 4877, 3959, 4111, 4088, 3932,
-      3776, 3732, 3718, 3669, 3355, 3331, 2896, 2846,
-    ],
-    [3674, 4096, 4949, 5018, 5002, 5086, 5087],
-    [3709, 4103, 4956, 5034, 5066, 5088, 5089],
-    [3716, 4110, 4963, 5050, 5082, 5090, 5091],
-    [
-      5092, 5093, 5094, 5095, 5096, 5097, 5098, 4967, 5005, 4912, 3945, 3935,
-      3100, 3682,
-    ],
-    [
-      5099, 5100, 5101, 5102, 5103, 5104, 5098, 4971, 5037, 4911, 3952, 3937,
-      3098, 3689,
-    ],
-    [
-      5105, 5106, 5107, 5108, 5109, 5110, 5111, 4975, 5021, 4928, 3947, 3939,
-      3116, 3696,
-    ],
-    [
-      5112, 5113, 5114, 5115, 5116, 5117, 5111, 4979, 5053, 4927, 3954, 3940,
-      3114, 3703,
-    ],
-    [
-      5118, 5119, 5120, 5121, 5122, 5123, 5124, 4983, 5069, 4944, 3957, 3942,
-      3132, 3724,
-    ],
-    [
-      5125, 5126, 5127, 5128, 5129, 5130, 5124, 4987, 5085, 4943, 3960, 3941,
-      3130, 3731,
-    ],
-    [3737, 4094, 5001, 5131, 5132, 5133, 5134],
-    [3744, 4093, 5017, 5135, 5136, 5137, 5138],
-    [3092, 5096, 5103, 5139, 5140, 5141, 5142],
-    [3108, 5109, 5116, 5143, 5144, 5145, 5146],
-    [3751, 4101, 5033, 5147, 5148, 5149, 5150],
-    [3765, 4100, 5065, 5151, 5152, 5153, 5154],
-    [3758, 4108, 5049, 5155, 5156, 5157, 5158],
-    [3772, 4107, 5081, 5159, 5160, 5161, 5162],
-    [3124, 5129, 5122, 5163, 5164, 5165, 5166],
-    [
-      5167, 5168, 5169, 5170, 5139, 5171, 5131, 5172, 5097, 5004, 3964, 3946,
-      3096, 3738,
-    ],
-    [
-      5173, 5174, 5175, 5176, 5143, 5177, 5135, 5178, 5110, 5020, 3966, 3948,
-      3112, 3745,
-    ],
-    [
-      5179, 5180, 5181, 5182, 5147, 5183, 5140, 5184, 5036, 5104, 3968, 3951,
-      3752, 3094,
-    ],
-    [
-      5185, 5186, 5187, 5188, 5155, 5189, 5144, 5190, 5052, 5117, 3972, 3953,
-      3759, 3110,
-    ],
-    [
-      5191, 5192, 5193, 5194, 5164, 5195, 5151, 5196, 5123, 5068, 3975, 3958,
-      3128, 3766,
-    ],
-    [
-      5197, 5198, 5199, 5200, 5163, 5201, 5159, 5202, 5130, 5084, 3979, 3961,
-      3126, 3773,
-    ],
-    [
-      5203, 5204, 5205, 5206, 5207, 5208, 5209, 5141, 5184, 5171, 3969, 3963,
-      3780, 3093,
-    ],
-    [
-      5210, 5211, 5212, 5213, 5214, 5215, 5216, 5145, 5190, 5177, 3973, 3967,
-      3787, 3109,
-    ],
-    [
-      5217, 5218, 5219, 5220, 5221, 5222, 5223, 5165, 5201, 5195, 3978, 3974,
-      3794, 3125,
-    ],
-    [
-      5224, 5225, 5226, 5227, 5228, 5229, 5230, 5231, 5232, 5233, 5234, 5235,
-      5236, 5237, 5136, 5132, 5216, 5209, 5178, 5172, 4119, 3965, 3962, 4095,
-      3790, 3783, 3746, 3739, 3371, 3359, 2911, 2903,
-    ],
-    [
-      5238, 5239, 5240, 5241, 5242, 5243, 5244, 5245, 5246, 5247, 5248, 5249,
-      5250, 5251, 5152, 5148, 5223, 5208, 5196, 5183, 4118, 3976, 3970, 4102,
-      3797, 3781, 3767, 3753, 3375, 3362, 2934, 2918,
-    ],
-    [
-      5252, 5253, 5254, 5255, 5256, 5257, 5258, 5259, 5260, 5261, 5262, 5263,
-      5264, 5265, 5160, 5156, 5222, 5215, 5202, 5189, 4116, 3977, 3971, 4109,
-      3795, 3788, 3774, 3760, 3379, 3367, 2941, 2926,
-    ],
-    [3779, 4117, 5207, 5250, 5236, 5266, 5267],
-    [3786, 4115, 5264, 5235, 5214, 5268, 5269],
-    [3793, 4114, 5221, 5249, 5263, 5270, 5271],
-    [
-      5272, 5273, 5274, 5275, 5276, 5277, 5278, 4184, 4133, 4128, 4166, 4148,
-      4123, 3980,
-    ],
-    [
-      5279, 5280, 5281, 5282, 5283, 5284, 5285, 4333, 4390, 4358, 4265, 4262,
-      4145, 3987,
-    ],
-    [
-      5286, 5287, 5288, 5289, 5290, 5291, 5292, 4338, 4406, 4374, 4271, 4268,
-      4163, 3994,
-    ],
-    [
-      5293, 5294, 5295, 5296, 5297, 5298, 5299, 4343, 4438, 4422, 4283, 4280,
-      4181, 4001,
-    ],
-    [
-      5300, 5301, 5302, 5303, 5304, 5305, 5306, 4640, 4596, 4530, 4492, 4355,
-      4442, 4008,
-    ],
-    [
-      5307, 5308, 5309, 5310, 5311, 5312, 5313, 4685, 4600, 4534, 4490, 4371,
-      4445, 4015,
-    ],
-    [
-      5314, 5315, 5316, 5317, 5318, 5319, 5320, 4701, 4610, 4538, 4508, 4387,
-      4448, 4022,
-    ],
-    [
-      5321, 5322, 5323, 5324, 5325, 5326, 5327, 4745, 4619, 4542, 4524, 4403,
-      4454, 4029,
-    ],
-    [
-      5328, 5329, 5330, 5331, 5332, 5333, 5334, 4761, 4614, 4546, 4506, 4419,
-      4452, 4036,
-    ],
-    [
-      5335, 5336, 5337, 5338, 5339, 5340, 5341, 4805, 4622, 4550, 4522, 4435,
-      4457, 4043,
-    ],
-    [
-      5342, 5343, 5344, 5345, 5346, 5347, 5348, 4968, 5003, 4909, 4880, 4812,
-      4637, 4050,
-    ],
-    [
-      5349, 5350, 5351, 5352, 5353, 5354, 5355, 4977, 5019, 4925, 4883, 4818,
-      4682, 4057,
-    ],
-    [
-      5356, 5357, 5358, 5359, 5360, 5361, 5362, 4972, 5035, 4907, 4886, 4816,
-      4698, 4064,
-    ],
-    [
-      5363, 5364, 5365, 5366, 5367, 5368, 5369, 4980, 5051, 4923, 4889, 4821,
-      4742, 4071,
-    ],
-    [
-      5370, 5371, 5372, 5373, 5374, 5375, 5376, 4984, 5067, 4941, 4892, 4832,
-      4758, 4078,
-    ],
-    [
-      5377, 5378, 5379, 5380, 5381, 5382, 5383, 4988, 5083, 4939, 4895, 4835,
-      4802, 4085,
-    ],
-    [
-      5384, 5385, 5386, 5387, 5388, 5389, 5390, 5237, 5137, 5133, 5016, 5000,
-      5086, 4092,
-    ],
-    [
-      5391, 5392, 5393, 5394, 5395, 5396, 5397, 5251, 5153, 5149, 5064, 5032,
-      5088, 4099,
-    ],
-    [
-      5398, 5399, 5400, 5401, 5402, 5403, 5404, 5265, 5161, 5157, 5080, 5048,
-      5090, 4106,
-    ],
-    [
-      5405, 5406, 5407, 5408, 5409, 5410, 5411, 5270, 5262, 5248, 5268, 5266,
-      5234, 4113,
-    ],
-    [4213, 4191, 4141, 5412, 5413, 5414, 5415],
-    [4159, 4221, 4190, 5416, 5417, 5418, 5419],
-    [4198, 4229, 4139, 5420, 5421, 5422, 5423],
-    [4157, 4205, 4237, 5424, 5425, 5426, 5427],
-    [4197, 4245, 4177, 5428, 5429, 5430, 5431],
-    [4253, 4204, 4175, 5432, 5433, 5434, 5435],
-    [4210, 4287, 4352, 5436, 5437, 5438, 5439],
-    [4218, 4295, 4368, 5440, 5441, 5442, 5443],
-    [4384, 4302, 4226, 5444, 5445, 5446, 5447],
-    [4317, 4234, 4400, 5448, 5449, 5450, 5451],
-    [4416, 4242, 4310, 5452, 5453, 5454, 5455],
-    [4250, 4325, 4432, 5456, 5457, 5458, 5459],
-    [4487, 4294, 4286, 5460, 5461, 5462, 5463],
-    [4301, 4309, 4503, 5464, 5465, 5466, 5467],
-    [4316, 4519, 4324, 5468, 5469, 5470, 5471],
-    [4555, 4461, 4349, 5472, 5473, 5474, 5475],
-    [4381, 4562, 4460, 5476, 5477, 5478, 5479],
-    [4468, 4569, 4365, 5480, 5481, 5482, 5483],
-    [4467, 4576, 4397, 5484, 5485, 5486, 5487],
-    [4583, 4413, 4475, 5488, 5489, 5490, 5491],
-    [4590, 4474, 4429, 5492, 5493, 5494, 5495],
-    [4484, 4646, 4653, 5496, 5497, 5498, 5499],
-    [4552, 4660, 4633, 5500, 5501, 5502, 5503],
-    [4559, 4667, 4694, 5504, 5505, 5506, 5507],
-    [4566, 4706, 4678, 5508, 5509, 5510, 5511],
-    [4573, 4738, 4713, 5512, 5513, 5514, 5515],
-    [4727, 4500, 4720, 5516, 5517, 5518, 5519],
-    [4516, 4773, 4766, 5520, 5521, 5522, 5523],
-    [4580, 4780, 4754, 5524, 5525, 5526, 5527],
-    [4587, 4787, 4798, 5528, 5529, 5530, 5531],
-    [4840, 4645, 4631, 5532, 5533, 5534, 5535],
-    [4847, 4652, 4676, 5536, 5537, 5538, 5539],
-    [4904, 4659, 4666, 5540, 5541, 5542, 5543],
-    [4705, 4920, 4712, 5544, 5545, 5546, 5547],
-    [4854, 4692, 4719, 5548, 5549, 5550, 5551],
-    [4861, 4726, 4752, 5552, 5553, 5554, 5555],
-    [4868, 4765, 4736, 5556, 5557, 5558, 5559],
-    [4875, 4772, 4796, 5560, 5561, 5562, 5563],
-    [4936, 4786, 4779, 5564, 5565, 5566, 5567],
-    [4837, 4947, 4997, 5568, 5569, 5570, 5571],
-    [4844, 5013, 4946, 5572, 5573, 5574, 5575],
-    [4954, 4851, 5029, 5576, 5577, 5578, 5579],
-    [4858, 4953, 5061, 5580, 5581, 5582, 5583],
-    [5045, 4865, 4961, 5584, 5585, 5586, 5587],
-    [4872, 4960, 5077, 5588, 5589, 5590, 5591],
-    [5101, 4901, 5094, 5592, 5593, 5594, 5595],
-    [5114, 5107, 4917, 5596, 5597, 5598, 5599],
-    [4933, 5120, 5127, 5600, 5601, 5602, 5603],
-    [5170, 5093, 4994, 5604, 5605, 5606, 5607],
-    [5010, 5176, 5106, 5608, 5609, 5610, 5611],
-    [5100, 5182, 5026, 5612, 5613, 5614, 5615],
-    [5042, 5113, 5188, 5616, 5617, 5618, 5619],
-    [5119, 5194, 5058, 5620, 5621, 5622, 5623],
-    [5200, 5126, 5074, 5624, 5625, 5626, 5627],
-    [5167, 5205, 5230, 5628, 5629, 5630, 5631],
-    [5212, 5173, 5228, 5632, 5633, 5634, 5635],
-    [5244, 5204, 5179, 5636, 5637, 5638, 5639],
-    [5211, 5185, 5258, 5640, 5641, 5642, 5643],
-    [5242, 5191, 5219, 5644, 5645, 5646, 5647],
-    [5197, 5218, 5256, 5648, 5649, 5650, 5651],
-    [
-      5652, 5653, 5654, 5655, 5656, 5657, 5658, 5416, 5413, 5278, 4162, 4144,
-      4192, 4124,
-    ],
-    [
-      5659, 5660, 5661, 5662, 5663, 5664, 5665, 5428, 5420, 5277, 4180, 4143,
-      4199, 4129,
-    ],
-    [
-      5666, 5667, 5668, 5669, 5670, 5671, 5672, 5434, 5424, 5275, 4179, 4161,
-      4206, 4134,
-    ],
-    [
-      5673, 5674, 5675, 5676, 5677, 5678, 5679, 5436, 5412, 5285, 4354, 4142,
-      4211, 4263,
-    ],
-    [
-      5680, 5681, 5682, 5683, 5684, 5685, 5686, 5442, 5417, 5292, 4370, 4160,
-      4219, 4269,
-    ],
-    [
-      5687, 5688, 5689, 5690, 5691, 5692, 5693, 5444, 5421, 5284, 4386, 4140,
-      4228, 4266,
-    ],
-    [
-      5694, 5695, 5696, 5697, 5698, 5699, 5700, 5450, 5425, 5291, 4402, 4158,
-      4236, 4272,
-    ],
-    [
-      5701, 5702, 5703, 5704, 5705, 5706, 5707, 5452, 5431, 5299, 4418, 4178,
-      4243, 4281,
-    ],
-    [
-      5708, 5709, 5710, 5711, 5712, 5713, 5714, 5456, 5432, 5298, 4434, 4176,
-      4251, 4284,
-    ],
-    [
-      5715, 5716, 5717, 5718, 5719, 5720, 5721, 5460, 5437, 5306, 4489, 4353,
-      4285, 4443,
-    ],
-    [
-      5722, 5723, 5724, 5725, 5726, 5727, 5728, 5461, 5443, 5313, 4488, 4369,
-      4293, 4446,
-    ],
-    [
-      5729, 5730, 5731, 5732, 5733, 5734, 5735, 5476, 5473, 5282, 4383, 4351,
-      4462, 4334,
-    ],
-    [
-      5736, 5737, 5738, 5739, 5740, 5741, 5742, 5484, 5480, 5289, 4399, 4367,
-      4469, 4339,
-    ],
-    [
-      5743, 5744, 5745, 5746, 5747, 5748, 5749, 5466, 5445, 5320, 4505, 4385,
-      4300, 4449,
-    ],
-    [
-      5750, 5751, 5752, 5753, 5754, 5755, 5756, 5465, 5453, 5334, 4504, 4417,
-      4308, 4451,
-    ],
-    [
-      5757, 5758, 5759, 5760, 5761, 5762, 5763, 5469, 5449, 5327, 4521, 4401,
-      4315, 4455,
-    ],
-    [
-      5764, 5765, 5766, 5767, 5768, 5769, 5770, 5468, 5457, 5341, 4520, 4433,
-      4323, 4458,
-    ],
-    [
-      5771, 5772, 5773, 5774, 5775, 5776, 5777, 5493, 5488, 5296, 4431, 4415,
-      4476, 4344,
-    ],
-    [
-      5778, 5779, 5780, 5781, 5782, 5783, 5784, 5500, 5472, 5305, 4636, 4350,
-      4554, 4531,
-    ],
-    [
-      5785, 5786, 5787, 5788, 5789, 5790, 5791, 5508, 5481, 5312, 4681, 4366,
-      4568, 4535,
-    ],
-    [
-      5792, 5793, 5794, 5795, 5796, 5797, 5798, 5506, 5477, 5319, 4697, 4382,
-      4561, 4539,
-    ],
-    [
-      5799, 5800, 5801, 5802, 5803, 5804, 5805, 5512, 5487, 5326, 4741, 4398,
-      4575, 4543,
-    ],
-    [
-      5806, 5807, 5808, 5809, 5810, 5811, 5812, 5525, 5489, 5333, 4757, 4414,
-      4582, 4547,
-    ],
-    [
-      5813, 5814, 5815, 5816, 5817, 5818, 5819, 5528, 5492, 5340, 4801, 4430,
-      4589, 4551,
-    ],
-    [
-      5820, 5821, 5822, 5823, 5824, 5825, 5826, 5534, 5496, 5303, 4635, 4486,
-      4647, 4597,
-    ],
-    [
-      5827, 5828, 5829, 5830, 5831, 5832, 5833, 5538, 5497, 5310, 4680, 4485,
-      4654, 4601,
-    ],
-    [
-      5834, 5835, 5836, 5837, 5838, 5839, 5840, 5550, 5518, 5317, 4696, 4502,
-      4721, 4611,
-    ],
-    [
-      5841, 5842, 5843, 5844, 5845, 5846, 5847, 5555, 5516, 5331, 4756, 4501,
-      4728, 4615,
-    ],
-    [
-      5848, 5849, 5850, 5851, 5852, 5853, 5854, 5557, 5521, 5324, 4740, 4518,
-      4767, 4618,
-    ],
-    [
-      5855, 5856, 5857, 5858, 5859, 5860, 5861, 5563, 5520, 5338, 4800, 4517,
-      4774, 4623,
-    ],
-    [
-      5862, 5863, 5864, 5865, 5866, 5867, 5868, 5540, 5503, 5348, 4906, 4634,
-      4658, 4813,
-    ],
-    [
-      5869, 5870, 5871, 5872, 5873, 5874, 5875, 5541, 5505, 5362, 4905, 4695,
-      4665, 4815,
-    ],
-    [
-      5876, 5877, 5878, 5879, 5880, 5881, 5882, 5544, 5511, 5355, 4922, 4679,
-      4704, 4819,
-    ],
-    [
-      5883, 5884, 5885, 5886, 5887, 5888, 5889, 5547, 5515, 5369, 4921, 4739,
-      4711, 4822,
-    ],
-    [
-      5890, 5891, 5892, 5893, 5894, 5895, 5896, 5565, 5526, 5376, 4938, 4755,
-      4778, 4833,
-    ],
-    [
-      5897, 5898, 5899, 5900, 5901, 5902, 5903, 5564, 5530, 5383, 4937, 4799,
-      4785, 4836,
-    ],
-    [
-      5904, 5905, 5906, 5907, 5908, 5909, 5910, 5568, 5532, 5347, 4999, 4632,
-      4838, 4881,
-    ],
-    [
-      5911, 5912, 5913, 5914, 5915, 5916, 5917, 5573, 5537, 5354, 5015, 4677,
-      4845, 4884,
-    ],
-    [
-      5918, 5919, 5920, 5921, 5922, 5923, 5924, 5579, 5548, 5361, 5031, 4693,
-      4852, 4887,
-    ],
-    [
-      5925, 5926, 5927, 5928, 5929, 5930, 5931, 5585, 5558, 5368, 5047, 4737,
-      4866, 4890,
-    ],
-    [
-      5932, 5933, 5934, 5935, 5936, 5937, 5938, 5580, 5552, 5375, 5063, 4753,
-      4859, 4893,
-    ],
-    [
-      5939, 5940, 5941, 5942, 5943, 5944, 5945, 5588, 5560, 5382, 5079, 4797,
-      4873, 4896,
-    ],
-    [
-      5946, 5947, 5948, 5949, 5950, 5951, 5952, 5572, 5569, 5390, 5014, 4998,
-      4945, 5087,
-    ],
-    [
-      5953, 5954, 5955, 5956, 5957, 5958, 5959, 5605, 5592, 5345, 4996, 4903,
-      5095, 4969,
-    ],
-    [
-      5960, 5961, 5962, 5963, 5964, 5965, 5966, 5613, 5593, 5359, 5028, 4902,
-      5102, 4973,
-    ],
-    [
-      5967, 5968, 5969, 5970, 5971, 5972, 5973, 5609, 5597, 5352, 5012, 4919,
-      5108, 4976,
-    ],
-    [
-      5974, 5975, 5976, 5977, 5978, 5979, 5980, 5617, 5598, 5366, 5044, 4918,
-      5115, 4981,
-    ],
-    [
-      5981, 5982, 5983, 5984, 5985, 5986, 5987, 5581, 5576, 5397, 5062, 5030,
-      4952, 5089,
-    ],
-    [
-      5988, 5989, 5990, 5991, 5992, 5993, 5994, 5589, 5584, 5404, 5078, 5046,
-      4959, 5091,
-    ],
-    [
-      5995, 5996, 5997, 5998, 5999, 6000, 6001, 5622, 5601, 5373, 5060, 4935,
-      5121, 4985,
-    ],
-    [
-      6002, 6003, 6004, 6005, 6006, 6007, 6008, 5625, 5600, 5380, 5076, 4934,
-      5128, 4989,
-    ],
-    [
-      6009, 6010, 6011, 6012, 6013, 6014, 6015, 5628, 5604, 5389, 5233, 4995,
-      5169, 5134,
-    ],
-    [
-      6016, 6017, 6018, 6019, 6020, 6021, 6022, 5635, 5608, 5387, 5232, 5011,
-      5175, 5138,
-    ],
-    [
-      6023, 6024, 6025, 6026, 6027, 6028, 6029, 5637, 5614, 5396, 5247, 5027,
-      5180, 5150,
-    ],
-    [
-      6030, 6031, 6032, 6033, 6034, 6035, 6036, 5641, 5616, 5403, 5261, 5043,
-      5186, 5158,
-    ],
-    [
-      6037, 6038, 6039, 6040, 6041, 6042, 6043, 5645, 5623, 5394, 5246, 5059,
-      5193, 5154,
-    ],
-    [
-      6044, 6045, 6046, 6047, 6048, 6049, 6050, 5648, 5624, 5401, 5260, 5075,
-      5199, 5162,
-    ],
-    [
-      6051, 6052, 6053, 6054, 6055, 6056, 6057, 5636, 5630, 5411, 5245, 5231,
-      5203, 5267,
-    ],
-    [
-      6058, 6059, 6060, 6061, 6062, 6063, 6064, 5640, 5632, 5410, 5259, 5229,
-      5210, 5269,
-    ],
-    [
-      6065, 6066, 6067, 6068, 6069, 6070, 6071, 5649, 5644, 5408, 5257, 5243,
-      5217, 5271,
-    ],
-    [4138, 5276, 5664, 5657, 6072, 6073, 6074],
-    [4156, 5671, 5274, 5655, 6075, 6076, 6077],
-    [4174, 5273, 5662, 5669, 6078, 6079, 6080],
-    [4135, 5283, 5678, 5692, 6081, 6082, 6083],
-    [5685, 4153, 5290, 5699, 6084, 6085, 6086],
-    [4171, 5297, 5713, 5706, 6087, 6088, 6089],
-    [4347, 5281, 5676, 5734, 6090, 6091, 6092],
-    [4379, 5280, 5690, 5732, 6093, 6094, 6095],
-    [5288, 4363, 5741, 5683, 6096, 6097, 6098],
-    [4395, 5287, 5739, 5697, 6099, 6100, 6101],
-    [5704, 4411, 5295, 5776, 6102, 6103, 6104],
-    [4427, 5294, 5711, 5774, 6105, 6106, 6107],
-    [4346, 5304, 5783, 5720, 6108, 6109, 6110],
-    [5311, 4362, 5790, 5727, 6111, 6112, 6113],
-    [4378, 5748, 5797, 5318, 6114, 6115, 6116],
-    [4394, 5325, 5804, 5762, 6117, 6118, 6119],
-    [4410, 5811, 5332, 5755, 6120, 6121, 6122],
-    [4426, 5339, 5818, 5769, 6123, 6124, 6125],
-    [4482, 5825, 5302, 5718, 6126, 6127, 6128],
-    [5725, 4481, 5309, 5832, 6129, 6130, 6131],
-    [5316, 4498, 5839, 5746, 6132, 6133, 6134],
-    [4497, 5330, 5846, 5753, 6135, 6136, 6137],
-    [4514, 5760, 5323, 5853, 6138, 6139, 6140],
-    [5860, 4513, 5337, 5767, 6141, 6142, 6143],
-    [4630, 5301, 5781, 5823, 6144, 6145, 6146],
-    [4675, 5308, 5788, 5830, 6147, 6148, 6149],
-    [5315, 4691, 5837, 5795, 6150, 6151, 6152],
-    [4735, 5322, 5802, 5851, 6153, 6154, 6155],
-    [4751, 5329, 5844, 5809, 6156, 6157, 6158],
-    [4795, 5336, 5816, 5858, 6159, 6160, 6161],
-    [4627, 5346, 5909, 5867, 6162, 6163, 6164],
-    [4672, 5353, 5881, 5916, 6165, 6166, 6167],
-    [4688, 5360, 5923, 5874, 6168, 6169, 6170],
-    [5367, 4732, 5888, 5930, 6171, 6172, 6173],
-    [4748, 5374, 5937, 5895, 6174, 6175, 6176],
-    [4792, 5381, 5944, 5902, 6177, 6178, 6179],
-    [5865, 4899, 5344, 5958, 6180, 6181, 6182],
-    [4898, 5965, 5358, 5872, 6183, 6184, 6185],
-    [4915, 5351, 5879, 5972, 6186, 6187, 6188],
-    [5365, 4914, 5886, 5979, 6189, 6190, 6191],
-    [6000, 4931, 5372, 5893, 6192, 6193, 6194],
-    [4930, 5900, 5379, 6007, 6195, 6196, 6197],
-    [4992, 5343, 5907, 5956, 6198, 6199, 6200],
-    [5008, 5914, 5350, 5970, 6201, 6202, 6203],
-    [5024, 5357, 5921, 5963, 6204, 6205, 6206],
-    [5040, 5928, 5977, 5364, 6207, 6208, 6209],
-    [5371, 5056, 5935, 5998, 6210, 6211, 6212],
-    [5072, 5378, 5942, 6005, 6213, 6214, 6215],
-    [4991, 5388, 6014, 5951, 6216, 6217, 6218],
-    [6021, 5007, 5386, 5949, 6219, 6220, 6221],
-    [5023, 5395, 5986, 6028, 6222, 6223, 6224],
-    [5393, 5055, 5984, 6042, 6225, 6226, 6227],
-    [5039, 5402, 5993, 6035, 6228, 6229, 6230],
-    [5071, 5400, 6049, 5991, 6231, 6232, 6233],
-    [5227, 5385, 6012, 6019, 6234, 6235, 6236],
-    [6040, 5241, 5392, 6026, 6237, 6238, 6239],
-    [5255, 5399, 6047, 6033, 6240, 6241, 6242],
-    [5224, 5409, 6063, 6056, 6243, 6244, 6245],
-    [5238, 6054, 5407, 6070, 6246, 6247, 6248],
-    [5252, 5406, 6061, 6068, 6249, 6250, 6251],
-    [
-      6252, 6253, 6254, 6255, 6256, 6257, 6258, 6259, 6260, 6261, 6262, 6263,
-      6264, 6265, 6266, 6267, 5462, 5728, 5721, 5440, 5438, 5686, 5679, 5418,
-      5414, 5658, 4296, 4288, 4220, 4212, 4189, 4260,
-    ],
-    [
-      6268, 6269, 6270, 6271, 6272, 6273, 6274, 6275, 6276, 6277, 6278, 6279,
-      6280, 6281, 6282, 6283, 5464, 5756, 5749, 5455, 5446, 5707, 5693, 5429,
-      5422, 5665, 4311, 4303, 4244, 4227, 4196, 4275,
-    ],
-    [
-      6284, 6285, 6286, 6287, 6288, 6289, 6290, 6291, 6292, 6293, 6294, 6295,
-      6296, 6297, 6298, 6299, 5470, 5770, 5763, 5458, 5448, 5714, 5700, 5433,
-      5427, 5672, 4326, 4318, 4252, 4235, 4203, 4278,
-    ],
-    [
-      6300, 6301, 6302, 6303, 6304, 6305, 6306, 6307, 6308, 6309, 6310, 6311,
-      6312, 6313, 6314, 6315, 5543, 5875, 5868, 5504, 5501, 5798, 5784, 5478,
-      5474, 5735, 4668, 4661, 4560, 4553, 4459, 4604,
-    ],
-    [
-      6316, 6317, 6318, 6319, 6320, 6321, 6322, 6323, 6324, 6325, 6326, 6327,
-      6328, 6329, 6330, 6331, 5546, 5889, 5882, 5514, 5510, 5805, 5791, 5486,
-      5482, 5742, 4714, 4707, 4574, 4567, 4466, 4607,
-    ],
-    [
-      6332, 6333, 6334, 6335, 6336, 6337, 6338, 6339, 6340, 6341, 6342, 6343,
-      6344, 6345, 6346, 6347, 5567, 5903, 5896, 5529, 5524, 5819, 5812, 5494,
-      5490, 5777, 4788, 4781, 4588, 4581, 4473, 4626,
-    ],
-    [
-      6348, 6349, 6350, 6351, 6352, 6353, 6354, 6355, 6356, 6357, 6358, 6359,
-      6360, 6361, 6362, 6363, 5952, 5574, 5570, 5917, 5910, 5536, 5533, 5833,
-      5826, 5499, 4948, 4846, 4839, 4651, 4644, 4810,
-    ],
-    [
-      6364, 6365, 6366, 6367, 6368, 6369, 6370, 6371, 6372, 6373, 6374, 6375,
-      6376, 6377, 6378, 6379, 5987, 5582, 5578, 5938, 5924, 5554, 5551, 5847,
-      5840, 5519, 4955, 4860, 4853, 4725, 4718, 4826,
-    ],
-    [
-      6380, 6381, 6382, 6383, 6384, 6385, 6386, 6387, 6388, 6389, 6390, 6391,
-      6392, 6393, 6394, 6395, 5994, 5590, 5586, 5945, 5931, 5561, 5556, 5861,
-      5854, 5523, 4962, 4874, 4867, 4771, 4764, 4830,
-    ],
-    [
-      6396, 6397, 6398, 6399, 6400, 6401, 6402, 6403, 6404, 6405, 6406, 6407,
-      6408, 6409, 6410, 6411, 6057, 5639, 5629, 6029, 6015, 5612, 5606, 5966,
-      5959, 5594, 5206, 5181, 5168, 5099, 5092, 5142,
-    ],
-    [
-      6412, 6413, 6414, 6415, 6416, 6417, 6418, 6419, 6420, 6421, 6422, 6423,
-      6424, 6425, 6426, 6427, 6064, 5642, 5633, 6036, 6022, 5618, 5611, 5980,
-      5973, 5596, 5213, 5187, 5174, 5112, 5105, 5146,
-    ],
-    [
-      6428, 6429, 6430, 6431, 6432, 6433, 6434, 6435, 6436, 6437, 6438, 6439,
-      6440, 6441, 6442, 6443, 6071, 5650, 5646, 6050, 6043, 5626, 5620, 6008,
-      6001, 5602, 5220, 5198, 5192, 5125, 5118, 5166,
-    ],
-    [
-      6444, 6445, 6446, 6447, 6448, 6449, 6267, 6450, 6081, 6074, 5677, 5656,
-      5415, 4137,
-    ],
-    [
-      6451, 6452, 6453, 6454, 6455, 6456, 6266, 6457, 6084, 6076, 5684, 5654,
-      5419, 4155,
-    ],
-    [
-      6458, 6459, 6460, 6461, 6462, 6463, 6283, 6450, 6083, 6072, 5691, 5663,
-      5423, 4136,
-    ],
-    [
-      6464, 6465, 6466, 6467, 6468, 6469, 6299, 6457, 6085, 6075, 5698, 5670,
-      5426, 4154,
-    ],
-    [
-      6470, 6471, 6472, 6473, 6474, 6475, 6282, 6476, 6088, 6078, 5705, 5661,
-      5430, 4173,
-    ],
-    [
-      6477, 6478, 6479, 6480, 6481, 6482, 6298, 6476, 6087, 6079, 5712, 5668,
-      5435, 4172,
-    ],
-    [
-      6483, 6484, 6485, 6486, 6487, 6488, 6265, 6489, 6110, 6090, 5719, 5675,
-      5439, 4348,
-    ],
-    [
-      6490, 6491, 6492, 6493, 6494, 6495, 6264, 6496, 6111, 6096, 5726, 5682,
-      5441, 4364,
-    ],
-    [
-      6497, 6498, 6499, 6500, 6501, 6502, 6281, 6503, 6114, 6093, 5747, 5689,
-      5447, 4380,
-    ],
-    [
-      6504, 6505, 6506, 6507, 6508, 6509, 6297, 6510, 6117, 6100, 5761, 5696,
-      5451, 4396,
-    ],
-    [
-      6511, 6512, 6513, 6514, 6515, 6516, 6280, 6517, 6121, 6102, 5754, 5703,
-      5454, 4412,
-    ],
-    [
-      6518, 6519, 6520, 6521, 6522, 6523, 6296, 6524, 6125, 6105, 5768, 5710,
-      5459, 4428,
-    ],
-    [
-      6525, 6526, 6527, 6528, 6529, 6530, 6263, 6531, 6129, 6127, 5724, 5717,
-      5463, 4483,
-    ],
-    [
-      6532, 6533, 6534, 6535, 6536, 6537, 6315, 6489, 6108, 6092, 5782, 5733,
-      5475, 4345,
-    ],
-    [
-      6538, 6539, 6540, 6541, 6542, 6543, 6314, 6503, 6115, 6094, 5796, 5731,
-      5479, 4377,
-    ],
-    [
-      6544, 6545, 6546, 6547, 6548, 6549, 6331, 6496, 6112, 6097, 5789, 5740,
-      5483, 4361,
-    ],
-    [
-      6550, 6551, 6552, 6553, 6554, 6555, 6330, 6510, 6119, 6099, 5803, 5738,
-      5485, 4393,
-    ],
-    [
-      6556, 6557, 6558, 6559, 6560, 6561, 6279, 6562, 6135, 6132, 5752, 5745,
-      5467, 4499,
-    ],
-    [
-      6563, 6564, 6565, 6566, 6567, 6568, 6295, 6569, 6142, 6138, 5766, 5759,
-      5471, 4515,
-    ],
-    [
-      6570, 6571, 6572, 6573, 6574, 6575, 6347, 6517, 6120, 6103, 5810, 5775,
-      5491, 4409,
-    ],
-    [
-      6576, 6577, 6578, 6579, 6580, 6581, 6346, 6524, 6123, 6107, 5817, 5773,
-      5495, 4425,
-    ],
-    [
-      6582, 6583, 6584, 6585, 6586, 6587, 6363, 6531, 6130, 6126, 5831, 5824,
-      5498, 4480,
-    ],
-    [
-      6588, 6589, 6590, 6591, 6592, 6593, 6379, 6562, 6137, 6134, 5845, 5838,
-      5517, 4496,
-    ],
-    [
-      6594, 6595, 6596, 6597, 6598, 6599, 6395, 6569, 6141, 6139, 5859, 5852,
-      5522, 4512,
-    ],
-    [
-      6600, 6601, 6602, 6603, 6604, 6605, 6313, 6606, 6163, 6144, 5866, 5780,
-      5502, 4629,
-    ],
-    [
-      6607, 6608, 6609, 6610, 6611, 6612, 6329, 6613, 6167, 6147, 5880, 5787,
-      5509, 4674,
-    ],
-    [
-      6614, 6615, 6616, 6617, 6618, 6619, 6312, 6620, 6168, 6150, 5873, 5794,
-      5507, 4690,
-    ],
-    [
-      6621, 6622, 6623, 6624, 6625, 6626, 6328, 6627, 6173, 6155, 5887, 5801,
-      5513, 4734,
-    ],
-    [
-      6628, 6629, 6630, 6631, 6632, 6633, 6345, 6634, 6175, 6156, 5894, 5808,
-      5527, 4750,
-    ],
-    [
-      6635, 6636, 6637, 6638, 6639, 6640, 6344, 6641, 6178, 6159, 5901, 5815,
-      5531, 4794,
-    ],
-    [
-      6642, 6643, 6644, 6645, 6646, 6647, 6362, 6606, 6162, 6145, 5908, 5822,
-      5535, 4628,
-    ],
-    [
-      6648, 6649, 6650, 6651, 6652, 6653, 6361, 6613, 6165, 6148, 5915, 5829,
-      5539, 4673,
-    ],
-    [
-      6654, 6655, 6656, 6657, 6658, 6659, 6378, 6620, 6170, 6152, 5922, 5836,
-      5549, 4689,
-    ],
-    [
-      6660, 6661, 6662, 6663, 6664, 6665, 6394, 6627, 6171, 6154, 5929, 5850,
-      5559, 4733,
-    ],
-    [
-      6666, 6667, 6668, 6669, 6670, 6671, 6377, 6634, 6174, 6158, 5936, 5843,
-      5553, 4749,
-    ],
-    [
-      6672, 6673, 6674, 6675, 6676, 6677, 6393, 6641, 6177, 6160, 5943, 5857,
-      5562, 4793,
-    ],
-    [
-      6678, 6679, 6680, 6681, 6682, 6683, 6311, 6684, 6184, 6180, 5871, 5864,
-      5542, 4900,
-    ],
-    [
-      6685, 6686, 6687, 6688, 6689, 6690, 6327, 6691, 6191, 6188, 5885, 5878,
-      5545, 4916,
-    ],
-    [
-      6692, 6693, 6694, 6695, 6696, 6697, 6343, 6698, 6195, 6193, 5899, 5892,
-      5566, 4932,
-    ],
-    [
-      6699, 6700, 6701, 6702, 6703, 6704, 6360, 6705, 6218, 6198, 5950, 5906,
-      5571, 4993,
-    ],
-    [
-      6706, 6707, 6708, 6709, 6710, 6711, 6359, 6712, 6220, 6201, 5948, 5913,
-      5575, 5009,
-    ],
-    [
-      6713, 6714, 6715, 6716, 6717, 6718, 6411, 6684, 6183, 6181, 5964, 5957,
-      5595, 4897,
-    ],
-    [
-      6719, 6720, 6721, 6722, 6723, 6724, 6427, 6691, 6189, 6187, 5978, 5971,
-      5599, 4913,
-    ],
-    [
-      6725, 6726, 6727, 6728, 6729, 6730, 6376, 6731, 6222, 6206, 5985, 5920,
-      5577, 5025,
-    ],
-    [
-      6732, 6733, 6734, 6735, 6736, 6737, 6375, 6738, 6226, 6211, 5983, 5934,
-      5583, 5057,
-    ],
-    [
-      6739, 6740, 6741, 6742, 6743, 6744, 6392, 6745, 6228, 6207, 5992, 5927,
-      5587, 5041,
-    ],
-    [
-      6746, 6747, 6748, 6749, 6750, 6751, 6391, 6752, 6233, 6213, 5990, 5941,
-      5591, 5073,
-    ],
-    [
-      6753, 6754, 6755, 6756, 6757, 6758, 6443, 6698, 6196, 6192, 6006, 5999,
-      5603, 4929,
-    ],
-    [
-      6759, 6760, 6761, 6762, 6763, 6764, 6410, 6705, 6216, 6200, 6013, 5955,
-      5607, 4990,
-    ],
-    [
-      6765, 6766, 6767, 6768, 6769, 6770, 6426, 6712, 6219, 6202, 6020, 5969,
-      5610, 5006,
-    ],
-    [
-      6771, 6772, 6773, 6774, 6775, 6776, 6409, 6731, 6223, 6204, 6027, 5962,
-      5615, 5022,
-    ],
-    [
-      6777, 6778, 6779, 6780, 6781, 6782, 6425, 6745, 6229, 6208, 6034, 5976,
-      5619, 5038,
-    ],
-    [
-      6783, 6784, 6785, 6786, 6787, 6788, 6442, 6738, 6225, 6210, 6041, 5997,
-      5621, 5054,
-    ],
-    [
-      6789, 6790, 6791, 6792, 6793, 6794, 6441, 6752, 6231, 6215, 6048, 6004,
-      5627, 5070,
-    ],
-    [
-      6795, 6796, 6797, 6798, 6799, 6800, 6408, 6801, 6244, 6234, 6055, 6011,
-      5631, 5226,
-    ],
-    [
-      6802, 6803, 6804, 6805, 6806, 6807, 6424, 6801, 6243, 6235, 6062, 6018,
-      5634, 5225,
-    ],
-    [
-      6808, 6809, 6810, 6811, 6812, 6813, 6407, 6814, 6246, 6238, 6053, 6025,
-      5638, 5240,
-    ],
-    [
-      6815, 6816, 6817, 6818, 6819, 6820, 6423, 6821, 6249, 6242, 6060, 6032,
-      5643, 5254,
-    ],
-    [
-      6822, 6823, 6824, 6825, 6826, 6827, 6440, 6814, 6247, 6237, 6069, 6039,
-      5647, 5239,
-    ],
-    [
-      6828, 6829, 6830, 6831, 6832, 6833, 6439, 6821, 6251, 6240, 6067, 6046,
-      5651, 5253,
-    ],
-    [5652, 6262, 6455, 6448, 6834, 6835, 6836],
-    [6462, 5659, 6474, 6278, 6837, 6838, 6839],
-    [5666, 6294, 6468, 6481, 6840, 6841, 6842],
-    [6446, 6487, 5673, 6261, 6843, 6844, 6845],
-    [5680, 6453, 6259, 6494, 6846, 6847, 6848],
-    [5687, 6277, 6501, 6460, 6849, 6850, 6851],
-    [5694, 6293, 6466, 6508, 6852, 6853, 6854],
-    [5701, 6275, 6515, 6472, 6855, 6856, 6857],
-    [6522, 5708, 6479, 6291, 6858, 6859, 6860],
-    [5715, 6257, 6529, 6485, 6861, 6862, 6863],
-    [5722, 6527, 6255, 6492, 6864, 6865, 6866],
-    [5743, 6499, 6273, 6560, 6867, 6868, 6869],
-    [5750, 6271, 6513, 6558, 6870, 6871, 6872],
-    [5757, 6567, 6506, 6289, 6873, 6874, 6875],
-    [5764, 6287, 6565, 6520, 6876, 6877, 6878],
-    [5729, 6310, 6542, 6536, 6879, 6880, 6881],
-    [5736, 6554, 6548, 6326, 6882, 6883, 6884],
-    [5771, 6342, 6574, 6580, 6885, 6886, 6887],
-    [6534, 5778, 6604, 6309, 6888, 6889, 6890],
-    [5792, 6540, 6307, 6618, 6891, 6892, 6893],
-    [5785, 6611, 6546, 6325, 6894, 6895, 6896],
-    [5799, 6625, 6552, 6323, 6897, 6898, 6899],
-    [5806, 6572, 6632, 6341, 6900, 6901, 6902],
-    [6578, 5813, 6639, 6339, 6903, 6904, 6905],
-    [5820, 6358, 6586, 6646, 6906, 6907, 6908],
-    [5827, 6357, 6584, 6652, 6909, 6910, 6911],
-    [6592, 6658, 5834, 6374, 6912, 6913, 6914],
-    [5841, 6590, 6670, 6373, 6915, 6916, 6917],
-    [5848, 6390, 6598, 6664, 6918, 6919, 6920],
-    [5855, 6389, 6596, 6676, 6921, 6922, 6923],
-    [5862, 6305, 6682, 6602, 6924, 6925, 6926],
-    [5869, 6303, 6680, 6616, 6927, 6928, 6929],
-    [5876, 6689, 6609, 6321, 6930, 6931, 6932],
-    [6623, 6687, 5883, 6319, 6933, 6934, 6935],
-    [5890, 6337, 6696, 6630, 6936, 6937, 6938],
-    [5897, 6335, 6694, 6637, 6939, 6940, 6941],
-    [6703, 5904, 6644, 6355, 6942, 6943, 6944],
-    [5911, 6710, 6650, 6353, 6945, 6946, 6947],
-    [5918, 6656, 6729, 6371, 6948, 6949, 6950],
-    [5932, 6668, 6736, 6369, 6951, 6952, 6953],
-    [5925, 6743, 6387, 6662, 6954, 6955, 6956],
-    [6750, 5939, 6674, 6385, 6957, 6958, 6959],
-    [5946, 6351, 6708, 6701, 6960, 6961, 6962],
-    [5981, 6727, 6734, 6367, 6963, 6964, 6965],
-    [5988, 6383, 6741, 6748, 6966, 6967, 6968],
-    [5953, 6406, 6717, 6763, 6969, 6970, 6971],
-    [5960, 6715, 6775, 6405, 6972, 6973, 6974],
-    [5967, 6422, 6769, 6723, 6975, 6976, 6977],
-    [5974, 6781, 6421, 6721, 6978, 6979, 6980],
-    [5995, 6757, 6438, 6787, 6981, 6982, 6983],
-    [6002, 6437, 6755, 6793, 6984, 6985, 6986],
-    [6761, 6009, 6799, 6403, 6987, 6988, 6989],
-    [6016, 6419, 6767, 6806, 6990, 6991, 6992],
-    [6023, 6401, 6812, 6773, 6993, 6994, 6995],
-    [6030, 6417, 6779, 6819, 6996, 6997, 6998],
-    [6037, 6826, 6435, 6785, 6999, 7000, 7001],
-    [6791, 6832, 6044, 6433, 7002, 7003, 7004],
-    [6051, 6399, 6810, 6797, 7005, 7006, 7007],
-    [6817, 6058, 6804, 6415, 7008, 7009, 7010],
-    [6065, 6431, 6824, 6830, 7011, 7012, 7013],
-    [
-      7014, 7015, 7016, 7017, 7018, 7019, 7020, 7021, 7022, 7023, 7024, 7025,
-      7026, 7027, 7028, 7029, 6840, 6837, 6834, 6482, 6475, 6469, 6463, 6456,
-      6449, 6080, 6077, 6073, 5667, 5660, 5653, 5272,
-    ],
-    [
-      7030, 7031, 7032, 7033, 7034, 7035, 7036, 7037, 7038, 7039, 7040, 7041,
-      7042, 7043, 7044, 7045, 6879, 6849, 6843, 6543, 6537, 6502, 6488, 6461,
-      6447, 6095, 6091, 6082, 5730, 5688, 5674, 5279,
-    ],
-    [
-      7046, 7047, 7048, 7049, 7050, 7051, 7052, 7053, 7054, 7055, 7056, 7057,
-      7058, 7059, 7060, 7061, 6882, 6853, 6846, 6555, 6549, 6509, 6495, 6467,
-      6454, 6101, 6098, 6086, 5737, 5695, 5681, 5286,
-    ],
-    [
-      7062, 7063, 7064, 7065, 7066, 7067, 7068, 7069, 7070, 7071, 7072, 7073,
-      7074, 7075, 7076, 7077, 6886, 6858, 6855, 6581, 6575, 6523, 6516, 6480,
-      6473, 6106, 6104, 6089, 5772, 5709, 5702, 5293,
-    ],
-    [
-      7078, 7079, 7080, 7081, 7082, 7083, 7084, 7085, 7086, 7087, 7088, 7089,
-      7090, 7091, 7092, 7093, 6906, 6888, 6861, 6647, 6605, 6587, 6535, 6530,
-      6486, 6146, 6128, 6109, 5821, 5779, 5716, 5300,
-    ],
-    [
-      7094, 7095, 7096, 7097, 7098, 7099, 7100, 7101, 7102, 7103, 7104, 7105,
-      7106, 7107, 7108, 7109, 6910, 6894, 6864, 6653, 6612, 6585, 6547, 6528,
-      6493, 6149, 6131, 6113, 5828, 5786, 5723, 5307,
-    ],
-    [
-      7110, 7111, 7112, 7113, 7114, 7115, 7116, 7117, 7118, 7119, 7120, 7121,
-      7122, 7123, 7124, 7125, 6912, 6891, 6867, 6659, 6619, 6593, 6541, 6561,
-      6500, 6151, 6133, 6116, 5835, 5793, 5744, 5314,
-    ],
-    [
-      7126, 7127, 7128, 7129, 7130, 7131, 7132, 7133, 7134, 7135, 7136, 7137,
-      7138, 7139, 7140, 7141, 6919, 6897, 6873, 6665, 6626, 6599, 6553, 6568,
-      6507, 6153, 6140, 6118, 5849, 5800, 5758, 5321,
-    ],
-    [
-      7142, 7143, 7144, 7145, 7146, 7147, 7148, 7149, 7150, 7151, 7152, 7153,
-      7154, 7155, 7156, 7157, 6915, 6900, 6871, 6671, 6633, 6591, 6573, 6559,
-      6514, 6157, 6136, 6122, 5842, 5807, 5751, 5328,
-    ],
-    [
-      7158, 7159, 7160, 7161, 7162, 7163, 7164, 7165, 7166, 7167, 7168, 7169,
-      7170, 7171, 7172, 7173, 6921, 6903, 6877, 6677, 6640, 6597, 6579, 6566,
-      6521, 6161, 6143, 6124, 5856, 5814, 5765, 5335,
-    ],
-    [
-      7174, 7175, 7176, 7177, 7178, 7179, 7180, 7181, 7182, 7183, 7184, 7185,
-      7186, 7187, 7188, 7189, 6970, 6942, 6924, 6764, 6718, 6704, 6683, 6645,
-      6603, 6199, 6182, 6164, 5954, 5905, 5863, 5342,
-    ],
-    [
-      7190, 7191, 7192, 7193, 7194, 7195, 7196, 7197, 7198, 7199, 7200, 7201,
-      7202, 7203, 7204, 7205, 6976, 6945, 6930, 6770, 6724, 6711, 6690, 6651,
-      6610, 6203, 6186, 6166, 5968, 5912, 5877, 5349,
-    ],
-    [
-      7206, 7207, 7208, 7209, 7210, 7211, 7212, 7213, 7214, 7215, 7216, 7217,
-      7218, 7219, 7220, 7221, 6972, 6948, 6928, 6776, 6716, 6730, 6681, 6657,
-      6617, 6205, 6185, 6169, 5961, 5919, 5870, 5356,
-    ],
-    [
-      7222, 7223, 7224, 7225, 7226, 7227, 7228, 7229, 7230, 7231, 7232, 7233,
-      7234, 7235, 7236, 7237, 6978, 6954, 6933, 6782, 6722, 6744, 6688, 6663,
-      6624, 6209, 6190, 6172, 5975, 5926, 5884, 5363,
-    ],
-    [
-      7238, 7239, 7240, 7241, 7242, 7243, 7244, 7245, 7246, 7247, 7248, 7249,
-      7250, 7251, 7252, 7253, 6981, 6951, 6937, 6788, 6758, 6737, 6697, 6669,
-      6631, 6212, 6194, 6176, 5996, 5933, 5891, 5370,
-    ],
-    [
-      7254, 7255, 7256, 7257, 7258, 7259, 7260, 7261, 7262, 7263, 7264, 7265,
-      7266, 7267, 7268, 7269, 6984, 6957, 6939, 6794, 6756, 6751, 6695, 6675,
-      6638, 6214, 6197, 6179, 6003, 5940, 5898, 5377,
-    ],
-    [
-      7270, 7271, 7272, 7273, 7274, 7275, 7276, 7277, 7278, 7279, 7280, 7281,
-      7282, 7283, 7284, 7285, 6990, 6987, 6961, 6807, 6800, 6768, 6762, 6709,
-      6702, 6236, 6221, 6217, 6017, 6010, 5947, 5384,
-    ],
-    [
-      7286, 7287, 7288, 7289, 7290, 7291, 7292, 7293, 7294, 7295, 7296, 7297,
-      7298, 7299, 7300, 7301, 6999, 6994, 6963, 6827, 6813, 6786, 6774, 6735,
-      6728, 6239, 6227, 6224, 6038, 6024, 5982, 5391,
-    ],
-    [
-      7302, 7303, 7304, 7305, 7306, 7307, 7308, 7309, 7310, 7311, 7312, 7313,
-      7314, 7315, 7316, 7317, 7002, 6996, 6966, 6833, 6820, 6792, 6780, 6749,
-      6742, 6241, 6232, 6230, 6045, 6031, 5989, 5398,
-    ],
-    [
-      7318, 7319, 7320, 7321, 7322, 7323, 7324, 7325, 7326, 7327, 7328, 7329,
-      7330, 7331, 7332, 7333, 7011, 7008, 7005, 6831, 6825, 6818, 6811, 6805,
-      6798, 6250, 6248, 6245, 6066, 6059, 6052, 5405,
-    ],
-    [6445, 6459, 7043, 7026, 7334, 7335, 7336],
-    [6452, 6465, 7059, 7024, 7337, 7338, 7339],
-    [6478, 6471, 7075, 7021, 7340, 7341, 7342],
-    [6484, 6533, 7039, 7090, 7343, 7344, 7345],
-    [6491, 6545, 7055, 7106, 7346, 7347, 7348],
-    [6498, 6539, 7123, 7037, 7349, 7350, 7351],
-    [6505, 6551, 7139, 7053, 7352, 7353, 7354],
-    [6571, 6512, 7154, 7071, 7355, 7356, 7357],
-    [6519, 6577, 7069, 7170, 7358, 7359, 7360],
-    [6526, 6583, 7104, 7088, 7361, 7362, 7363],
-    [6557, 6589, 7120, 7152, 7364, 7365, 7366],
-    [6564, 6595, 7136, 7168, 7367, 7368, 7369],
-    [6643, 6601, 7187, 7085, 7370, 7371, 7372],
-    [6649, 6608, 7203, 7101, 7373, 7374, 7375],
-    [6615, 6655, 7117, 7219, 7376, 7377, 7378],
-    [6661, 6622, 7235, 7133, 7379, 7380, 7381],
-    [6629, 6667, 7149, 7251, 7382, 7383, 7384],
-    [6636, 6673, 7165, 7267, 7385, 7386, 7387],
-    [6714, 6679, 7216, 7183, 7388, 7389, 7390],
-    [6720, 6686, 7232, 7199, 7391, 7392, 7393],
-    [6754, 6693, 7247, 7263, 7394, 7395, 7396],
-    [6700, 6760, 7181, 7282, 7397, 7398, 7399],
-    [6707, 6766, 7197, 7280, 7400, 7401, 7402],
-    [6772, 6726, 7213, 7298, 7403, 7404, 7405],
-    [6740, 6778, 7229, 7314, 7406, 7407, 7408],
-    [6784, 6733, 7245, 7296, 7409, 7410, 7411],
-    [6790, 6747, 7312, 7261, 7412, 7413, 7414],
-    [6796, 6803, 7277, 7331, 7415, 7416, 7417],
-    [6823, 6809, 7293, 7327, 7418, 7419, 7420],
-    [6829, 6816, 7309, 7325, 7421, 7422, 7423],
-    [
-      7424, 7425, 7426, 7427, 7428, 7429, 7430, 7334, 7045, 7029, 6844, 6836,
-      6260, 6444,
-    ],
-    [
-      7431, 7432, 7433, 7434, 7435, 7436, 7430, 7337, 7061, 7028, 6847, 6835,
-      6258, 6451,
-    ],
-    [
-      7437, 7438, 7439, 7440, 7441, 7442, 7443, 7335, 7044, 7027, 6850, 6838,
-      6276, 6458,
-    ],
-    [
-      7444, 7445, 7446, 7447, 7448, 7449, 7450, 7339, 7060, 7025, 6852, 6841,
-      6292, 6464,
-    ],
-    [
-      7451, 7452, 7453, 7454, 7455, 7456, 7443, 7341, 7077, 7023, 6856, 6839,
-      6274, 6470,
-    ],
-    [
-      7457, 7458, 7459, 7460, 7461, 7462, 7450, 7340, 7076, 7022, 6860, 6842,
-      6290, 6477,
-    ],
-    [
-      7463, 7464, 7465, 7466, 7467, 7468, 7429, 7343, 7093, 7042, 6863, 6845,
-      6256, 6483,
-    ],
-    [
-      7469, 7470, 7471, 7472, 7473, 7474, 7436, 7346, 7109, 7058, 6866, 6848,
-      6254, 6490,
-    ],
-    [
-      7475, 7476, 7477, 7478, 7479, 7480, 7442, 7349, 7125, 7041, 6868, 6851,
-      6272, 6497,
-    ],
-    [
-      7481, 7482, 7483, 7484, 7485, 7486, 7449, 7352, 7141, 7057, 6875, 6854,
-      6288, 6504,
-    ],
-    [
-      7487, 7488, 7489, 7490, 7491, 7492, 7456, 7357, 7157, 7074, 6870, 6857,
-      6270, 6511,
-    ],
-    [
-      7493, 7494, 7495, 7496, 7497, 7498, 7462, 7358, 7173, 7073, 6876, 6859,
-      6286, 6518,
-    ],
-    [
-      7499, 7500, 7501, 7502, 7503, 7474, 7468, 7361, 7108, 7092, 6865, 6862,
-      6253, 6525,
-    ],
-    [
-      7504, 7505, 7506, 7507, 7508, 7492, 7480, 7364, 7156, 7122, 6872, 6869,
-      6269, 6556,
-    ],
-    [
-      7509, 7510, 7511, 7512, 7513, 7498, 7486, 7367, 7172, 7138, 6878, 6874,
-      6285, 6563,
-    ],
-    [
-      7514, 7515, 7516, 7517, 7518, 7519, 7520, 7344, 7091, 7040, 6889, 6880,
-      6308, 6532,
-    ],
-    [
-      7521, 7522, 7523, 7524, 7525, 7526, 7520, 7350, 7124, 7038, 6892, 6881,
-      6306, 6538,
-    ],
-    [
-      7527, 7528, 7529, 7530, 7531, 7532, 7533, 7347, 7107, 7056, 6895, 6883,
-      6324, 6544,
-    ],
-    [
-      7534, 7535, 7536, 7537, 7538, 7539, 7533, 7353, 7140, 7054, 6898, 6884,
-      6322, 6550,
-    ],
-    [
-      7540, 7541, 7542, 7543, 7544, 7545, 7546, 7355, 7155, 7072, 6901, 6887,
-      6340, 6570,
-    ],
-    [
-      7547, 7548, 7549, 7550, 7551, 7552, 7546, 7359, 7171, 7070, 6904, 6885,
-      6338, 6576,
-    ],
-    [
-      7553, 7554, 7555, 7556, 7557, 7558, 7559, 7363, 7105, 7089, 6909, 6907,
-      6356, 6582,
-    ],
-    [
-      7560, 7561, 7562, 7563, 7564, 7565, 7519, 7371, 7189, 7087, 6925, 6890,
-      6304, 6600,
-    ],
-    [
-      7566, 7567, 7568, 7569, 7570, 7571, 7526, 7376, 7221, 7119, 6929, 6893,
-      6302, 6614,
-    ],
-    [
-      7572, 7573, 7574, 7575, 7576, 7577, 7532, 7374, 7205, 7103, 6931, 6896,
-      6320, 6607,
-    ],
-    [
-      7578, 7579, 7580, 7581, 7582, 7583, 7539, 7381, 7237, 7135, 6934, 6899,
-      6318, 6621,
-    ],
-    [
-      7584, 7585, 7586, 7587, 7588, 7589, 7590, 7366, 7153, 7121, 6917, 6913,
-      6372, 6588,
-    ],
-    [
-      7591, 7592, 7593, 7594, 7595, 7596, 7597, 7369, 7169, 7137, 6923, 6918,
-      6388, 6594,
-    ],
-    [
-      7598, 7599, 7600, 7601, 7602, 7603, 7545, 7382, 7253, 7151, 6938, 6902,
-      6336, 6628,
-    ],
-    [
-      7604, 7605, 7606, 7607, 7608, 7609, 7552, 7385, 7269, 7167, 6941, 6905,
-      6334, 6635,
-    ],
-    [
-      7610, 7611, 7612, 7613, 7614, 7615, 7559, 7370, 7188, 7086, 6944, 6908,
-      6354, 6642,
-    ],
-    [
-      7616, 7617, 7618, 7619, 7620, 7621, 7558, 7373, 7204, 7102, 6947, 6911,
-      6352, 6648,
-    ],
-    [
-      7622, 7623, 7624, 7625, 7626, 7571, 7565, 7390, 7218, 7186, 6927, 6926,
-      6301, 6678,
-    ],
-    [
-      7627, 7628, 7629, 7630, 7631, 7583, 7577, 7393, 7234, 7202, 6935, 6932,
-      6317, 6685,
-    ],
-    [
-      7632, 7633, 7634, 7635, 7636, 7637, 7590, 7378, 7220, 7118, 6950, 6914,
-      6370, 6654,
-    ],
-    [
-      7638, 7639, 7640, 7641, 7642, 7643, 7589, 7383, 7252, 7150, 6953, 6916,
-      6368, 6666,
-    ],
-    [
-      7644, 7645, 7646, 7647, 7648, 7649, 7597, 7379, 7236, 7134, 6956, 6920,
-      6386, 6660,
-    ],
-    [
-      7650, 7651, 7652, 7653, 7654, 7655, 7596, 7386, 7268, 7166, 6959, 6922,
-      6384, 6672,
-    ],
-    [
-      7656, 7657, 7658, 7659, 7660, 7609, 7603, 7396, 7266, 7250, 6940, 6936,
-      6333, 6692,
-    ],
-    [
-      7661, 7662, 7663, 7664, 7665, 7666, 7615, 7397, 7285, 7185, 6960, 6943,
-      6350, 6699,
-    ],
-    [
-      7667, 7668, 7669, 7670, 7671, 7666, 7621, 7400, 7284, 7201, 6962, 6946,
-      6349, 6706,
-    ],
-    [
-      7672, 7673, 7674, 7675, 7676, 7677, 7637, 7404, 7301, 7215, 6965, 6949,
-      6366, 6725,
-    ],
-    [
-      7678, 7679, 7680, 7681, 7682, 7677, 7643, 7410, 7300, 7249, 6964, 6952,
-      6365, 6732,
-    ],
-    [
-      7683, 7684, 7685, 7686, 7687, 7688, 7649, 7406, 7317, 7231, 6968, 6955,
-      6382, 6739,
-    ],
-    [
-      7689, 7690, 7691, 7692, 7693, 7688, 7655, 7413, 7316, 7265, 6967, 6958,
-      6381, 6746,
-    ],
-    [
-      7694, 7695, 7696, 7697, 7698, 7699, 7700, 7388, 7217, 7184, 6973, 6971,
-      6404, 6713,
-    ],
-    [
-      7701, 7702, 7703, 7704, 7705, 7706, 7707, 7391, 7233, 7200, 6980, 6977,
-      6420, 6719,
-    ],
-    [
-      7708, 7709, 7710, 7711, 7712, 7713, 7714, 7394, 7264, 7248, 6985, 6982,
-      6436, 6753,
-    ],
-    [
-      7715, 7716, 7717, 7718, 7719, 7720, 7700, 7398, 7283, 7182, 6988, 6969,
-      6402, 6759,
-    ],
-    [
-      7721, 7722, 7723, 7724, 7725, 7726, 7707, 7402, 7281, 7198, 6992, 6975,
-      6418, 6765,
-    ],
-    [
-      7727, 7728, 7729, 7730, 7731, 7732, 7699, 7403, 7299, 7214, 6995, 6974,
-      6400, 6771,
-    ],
-    [
-      7733, 7734, 7735, 7736, 7737, 7738, 7706, 7407, 7315, 7230, 6998, 6979,
-      6416, 6777,
-    ],
-    [
-      7739, 7740, 7741, 7742, 7743, 7744, 7714, 7409, 7297, 7246, 7001, 6983,
-      6434, 6783,
-    ],
-    [
-      7745, 7746, 7747, 7748, 7749, 7750, 7713, 7412, 7313, 7262, 7003, 6986,
-      6432, 6789,
-    ],
-    [
-      7751, 7752, 7753, 7754, 7755, 7756, 7720, 7415, 7333, 7279, 7007, 6989,
-      6398, 6795,
-    ],
-    [
-      7757, 7758, 7759, 7760, 7761, 7762, 7726, 7416, 7332, 7278, 7010, 6991,
-      6414, 6802,
-    ],
-    [
-      7763, 7764, 7765, 7766, 7767, 7756, 7732, 7420, 7330, 7295, 7006, 6993,
-      6397, 6808,
-    ],
-    [
-      7768, 7769, 7770, 7771, 7772, 7762, 7738, 7422, 7329, 7311, 7009, 6997,
-      6413, 6815,
-    ],
-    [
-      7773, 7774, 7775, 7776, 7777, 7778, 7744, 7418, 7328, 7294, 7012, 7000,
-      6430, 6822,
-    ],
-    [
-      7779, 7780, 7781, 7782, 7783, 7778, 7750, 7421, 7326, 7310, 7013, 7004,
-      6429, 6828,
-    ],
-    [6252, 7435, 7503, 7428, 7467, 7473, 7784],
-    [6268, 7491, 7479, 7441, 7508, 7455, 7785],
-    [6284, 7448, 7513, 7497, 7485, 7461, 7786],
-    [6300, 7626, 7525, 7518, 7570, 7564, 7787],
-    [6316, 7582, 7631, 7538, 7576, 7531, 7788],
-    [6332, 7660, 7544, 7551, 7602, 7608, 7789],
-    [6348, 7557, 7671, 7665, 7620, 7614, 7790],
-    [6364, 7588, 7636, 7642, 7676, 7682, 7791],
-    [6380, 7595, 7687, 7693, 7648, 7654, 7792],
-    [6396, 7767, 7698, 7719, 7731, 7755, 7793],
-    [6412, 7725, 7737, 7772, 7705, 7761, 7794],
-    [6428, 7712, 7777, 7749, 7783, 7743, 7795],
-    [7018, 7426, 7433, 7796, 7797, 7798, 7799],
-    [7016, 7453, 7439, 7800, 7801, 7802, 7803],
-    [7459, 7015, 7446, 7804, 7805, 7806, 7807],
-    [7425, 7465, 7034, 7808, 7809, 7810, 7811],
-    [7471, 7432, 7050, 7812, 7813, 7814, 7815],
-    [7032, 7438, 7477, 7816, 7817, 7818, 7819],
-    [7483, 7445, 7048, 7820, 7821, 7822, 7823],
-    [7452, 7066, 7489, 7824, 7825, 7826, 7827],
-    [7458, 7064, 7495, 7828, 7829, 7830, 7831],
-    [7082, 7464, 7501, 7832, 7833, 7834, 7835],
-    [7470, 7500, 7098, 7836, 7837, 7838, 7839],
-    [7031, 7516, 7523, 7840, 7841, 7842, 7843],
-    [7047, 7529, 7536, 7844, 7845, 7846, 7847],
-    [7476, 7506, 7114, 7848, 7849, 7850, 7851],
-    [7488, 7505, 7146, 7852, 7853, 7854, 7855],
-    [7482, 7511, 7130, 7856, 7857, 7858, 7859],
-    [7162, 7494, 7510, 7860, 7861, 7862, 7863],
-    [7063, 7549, 7542, 7864, 7865, 7866, 7867],
-    [7080, 7562, 7515, 7868, 7869, 7870, 7871],
-    [7096, 7528, 7574, 7872, 7873, 7874, 7875],
-    [7522, 7568, 7112, 7876, 7877, 7878, 7879],
-    [7128, 7535, 7580, 7880, 7881, 7882, 7883],
-    [7600, 7541, 7144, 7884, 7885, 7886, 7887],
-    [7606, 7160, 7548, 7888, 7889, 7890, 7891],
-    [7612, 7079, 7555, 7892, 7893, 7894, 7895],
-    [7618, 7554, 7095, 7896, 7897, 7898, 7899],
-    [7111, 7586, 7634, 7900, 7901, 7902, 7903],
-    [7143, 7640, 7585, 7904, 7905, 7906, 7907],
-    [7593, 7646, 7127, 7908, 7909, 7910, 7911],
-    [7652, 7159, 7592, 7912, 7913, 7914, 7915],
-    [7561, 7178, 7624, 7916, 7917, 7918, 7919],
-    [7623, 7567, 7210, 7920, 7921, 7922, 7923],
-    [7194, 7573, 7629, 7924, 7925, 7926, 7927],
-    [7226, 7579, 7628, 7928, 7929, 7930, 7931],
-    [7599, 7658, 7242, 7932, 7933, 7934, 7935],
-    [7605, 7258, 7657, 7936, 7937, 7938, 7939],
-    [7611, 7176, 7663, 7940, 7941, 7942, 7943],
-    [7617, 7669, 7192, 7944, 7945, 7946, 7947],
-    [7208, 7674, 7633, 7948, 7949, 7950, 7951],
-    [7685, 7645, 7224, 7952, 7953, 7954, 7955],
-    [7240, 7680, 7639, 7956, 7957, 7958, 7959],
-    [7256, 7651, 7691, 7960, 7961, 7962, 7963],
-    [7274, 7662, 7668, 7964, 7965, 7966, 7967],
-    [7175, 7717, 7696, 7968, 7969, 7970, 7971],
-    [7729, 7695, 7207, 7972, 7973, 7974, 7975],
-    [7723, 7703, 7191, 7976, 7977, 7978, 7979],
-    [7735, 7702, 7223, 7980, 7981, 7982, 7983],
-    [7290, 7679, 7673, 7984, 7985, 7986, 7987],
-    [7306, 7690, 7684, 7988, 7989, 7990, 7991],
-    [7741, 7710, 7239, 7992, 7993, 7994, 7995],
-    [7255, 7747, 7709, 7996, 7997, 7998, 7999],
-    [7753, 7272, 7716, 8000, 8001, 8002, 8003],
-    [7759, 7271, 7722, 8004, 8005, 8006, 8007],
-    [7728, 7765, 7288, 8008, 8009, 8010, 8011],
-    [7304, 7770, 7734, 8012, 8013, 8014, 8015],
-    [7740, 7775, 7287, 8016, 8017, 8018, 8019],
-    [7746, 7781, 7303, 8020, 8021, 8022, 8023],
-    [7752, 7322, 7764, 8024, 8025, 8026, 8027],
-    [7320, 7758, 7769, 8028, 8029, 8030, 8031],
-    [7319, 7780, 7774, 8032, 8033, 8034, 8035],
-    [
-      8036, 8037, 8038, 7816, 8039, 7808, 8040, 7802, 7796, 7036, 7440, 7427,
-      7020, 7336,
-    ],
-    [
-      8041, 8042, 8043, 7820, 8044, 7813, 8045, 7805, 7797, 7052, 7447, 7434,
-      7019, 7338,
-    ],
-    [
-      8046, 8047, 8048, 7829, 8049, 7824, 8050, 7804, 7800, 7068, 7460, 7454,
-      7017, 7342,
-    ],
-    [
-      8051, 8052, 8053, 7870, 8054, 7840, 8055, 7832, 7809, 7517, 7084, 7035,
-      7466, 7345,
-    ],
-    [
-      8056, 8057, 8058, 7872, 8059, 7844, 8060, 7836, 7812, 7530, 7100, 7051,
-      7472, 7348,
-    ],
-    [
-      8061, 8062, 8063, 7876, 8064, 7848, 8065, 7841, 7817, 7116, 7524, 7478,
-      7033, 7351,
-    ],
-    [
-      8066, 8067, 8068, 7880, 8069, 7857, 8070, 7845, 7821, 7132, 7537, 7484,
-      7049, 7354,
-    ],
-    [
-      8071, 8072, 8073, 7884, 8074, 7865, 8075, 7852, 7825, 7543, 7148, 7067,
-      7490, 7356,
-    ],
-    [
-      8076, 8077, 8078, 7888, 8079, 7864, 8080, 7860, 7828, 7550, 7164, 7065,
-      7496, 7360,
-    ],
-    [
-      8081, 8082, 8083, 7896, 8084, 7893, 8085, 7837, 7833, 7556, 7099, 7083,
-      7502, 7362,
-    ],
-    [
-      8086, 8087, 8088, 7906, 8089, 7900, 8090, 7853, 7849, 7587, 7147, 7115,
-      7507, 7365,
-    ],
-    [
-      8091, 8092, 8093, 7913, 8094, 7908, 8095, 7861, 7856, 7594, 7163, 7131,
-      7512, 7368,
-    ],
-    [
-      8096, 8097, 8098, 7941, 8099, 7916, 8100, 7892, 7868, 7180, 7613, 7563,
-      7081, 7372,
-    ],
-    [
-      8101, 8102, 8103, 7945, 8104, 7924, 8105, 7897, 7873, 7196, 7619, 7575,
-      7097, 7375,
-    ],
-    [
-      8106, 8107, 8108, 7950, 8109, 7921, 8110, 7901, 7877, 7212, 7635, 7569,
-      7113, 7377,
-    ],
-    [
-      8111, 8112, 8113, 7953, 8114, 7928, 8115, 7909, 7882, 7228, 7647, 7581,
-      7129, 7380,
-    ],
-    [
-      8116, 8117, 8118, 7957, 8119, 7933, 8120, 7904, 7885, 7244, 7641, 7601,
-      7145, 7384,
-    ],
-    [
-      8121, 8122, 8123, 7960, 8124, 7936, 8125, 7912, 7889, 7260, 7653, 7607,
-      7161, 7387,
-    ],
-    [
-      8126, 8127, 8128, 7972, 8129, 7969, 8130, 7920, 7917, 7697, 7211, 7179,
-      7625, 7389,
-    ],
-    [
-      8131, 8132, 8133, 7981, 8134, 7977, 8135, 7929, 7926, 7704, 7227, 7195,
-      7630, 7392,
-    ],
-    [
-      8136, 8137, 8138, 7997, 8139, 7993, 8140, 7937, 7932, 7711, 7259, 7243,
-      7659, 7395,
-    ],
-    [
-      8141, 8142, 8143, 8000, 8144, 7968, 8145, 7964, 7940, 7718, 7276, 7177,
-      7664, 7399,
-    ],
-    [
-      8146, 8147, 8148, 8005, 8149, 7976, 8150, 7965, 7944, 7724, 7275, 7193,
-      7670, 7401,
-    ],
-    [
-      8151, 8152, 8153, 8009, 8154, 7985, 8155, 7973, 7948, 7292, 7730, 7675,
-      7209, 7405,
-    ],
-    [
-      8156, 8157, 8158, 8013, 8159, 7989, 8160, 7980, 7952, 7308, 7736, 7686,
-      7225, 7408,
-    ],
-    [
-      8161, 8162, 8163, 8016, 8164, 7992, 8165, 7984, 7956, 7742, 7291, 7241,
-      7681, 7411,
-    ],
-    [
-      8166, 8167, 8168, 8020, 8169, 7996, 8170, 7988, 7962, 7748, 7307, 7257,
-      7692, 7414,
-    ],
-    [
-      8171, 8172, 8173, 8028, 8174, 8024, 8175, 8004, 8001, 7324, 7760, 7754,
-      7273, 7417,
-    ],
-    [
-      8176, 8177, 8178, 8033, 8179, 8025, 8180, 8017, 8008, 7323, 7776, 7766,
-      7289, 7419,
-    ],
-    [
-      8181, 8182, 8183, 8032, 8184, 8030, 8185, 8021, 8012, 7321, 7782, 7771,
-      7305, 7423,
-    ],
-    [
-      8186, 8187, 8188, 8189, 8190, 8191, 8192, 8050, 7806, 7801, 8045, 8040,
-      7798, 7014,
-    ],
-    [
-      8193, 8194, 8195, 8196, 8197, 8198, 8199, 7842, 8065, 8054, 7818, 7811,
-      8037, 7030,
-    ],
-    [
-      8200, 8201, 8202, 8203, 8204, 8205, 8206, 7846, 8070, 8059, 7823, 7815,
-      8042, 7046,
-    ],
-    [
-      8207, 8208, 8209, 8210, 8211, 8212, 8213, 7866, 8079, 8074, 7831, 7826,
-      8047, 7062,
-    ],
-    [
-      8214, 8215, 8216, 8217, 8218, 8219, 8220, 8100, 7894, 7869, 8084, 8053,
-      7834, 7078,
-    ],
-    [
-      8221, 8222, 8223, 8224, 8225, 8226, 8227, 8105, 7899, 7874, 8083, 8058,
-      7839, 7094,
-    ],
-    [
-      8228, 8229, 8230, 8231, 8232, 8233, 8234, 8110, 7902, 7879, 8089, 8062,
-      7851, 7110,
-    ],
-    [
-      8235, 8236, 8237, 8238, 8239, 8240, 8241, 8115, 7911, 7881, 8094, 8067,
-      7859, 7126,
-    ],
-    [
-      8242, 8243, 8244, 8245, 8246, 8247, 8248, 8120, 7905, 7887, 8088, 8073,
-      7855, 7142,
-    ],
-    [
-      8249, 8250, 8251, 8252, 8253, 8254, 8255, 8125, 7914, 7891, 8093, 8078,
-      7862, 7158,
-    ],
-    [
-      8256, 8257, 8258, 8259, 8260, 8261, 8262, 7970, 8144, 8129, 7943, 7918,
-      8097, 7174,
-    ],
-    [
-      8263, 8264, 8265, 8266, 8267, 8268, 8269, 7979, 8149, 8134, 7947, 7925,
-      8102, 7190,
-    ],
-    [
-      8270, 8271, 8272, 8273, 8274, 8275, 8276, 7975, 8155, 8128, 7949, 7923,
-      8107, 7206,
-    ],
-    [
-      8277, 8278, 8279, 8280, 8281, 8282, 8283, 7983, 8160, 8133, 7955, 7930,
-      8112, 7222,
-    ],
-    [
-      8284, 8285, 8286, 8287, 8288, 8289, 8290, 7995, 8164, 8139, 7958, 7935,
-      8117, 7238,
-    ],
-    [
-      8291, 8292, 8293, 8294, 8295, 8296, 8297, 7998, 8169, 8138, 7961, 7938,
-      8122, 7254,
-    ],
-    [
-      8298, 8299, 8300, 8301, 8302, 8303, 8304, 8175, 8006, 8003, 8148, 8143,
-      7966, 7270,
-    ],
-    [
-      8305, 8306, 8307, 8308, 8309, 8310, 8311, 8180, 8019, 8011, 8163, 8152,
-      7986, 7286,
-    ],
-    [
-      8312, 8313, 8314, 8315, 8316, 8317, 8318, 8185, 8023, 8014, 8168, 8157,
-      7990, 7302,
-    ],
-    [
-      8319, 8320, 8321, 8322, 8323, 8324, 8325, 8034, 8182, 8177, 8029, 8026,
-      8172, 7318,
-    ],
-    [
-      8326, 8327, 8328, 8329, 8330, 8331, 8332, 8333, 8334, 8335, 8336, 8227,
-      8220, 8206, 8199, 8192, 8085, 7838, 7835, 8060, 8055, 7814, 7810, 8044,
-      8039, 7799, 7499, 7469, 7463, 7431, 7424, 7784,
-    ],
-    [
-      8337, 8338, 8339, 8340, 8341, 8342, 8343, 8344, 8345, 8346, 8347, 8248,
-      8234, 8213, 8198, 8191, 8090, 7854, 7850, 8075, 8064, 7827, 7819, 8049,
-      8038, 7803, 7504, 7487, 7475, 7451, 7437, 7785,
-    ],
-    [
-      8348, 8349, 8350, 8351, 8352, 8353, 8354, 8355, 8356, 8357, 8358, 8255,
-      8241, 8212, 8205, 8189, 8095, 7863, 7858, 8080, 8069, 7830, 7822, 8048,
-      8043, 7807, 7509, 7493, 7481, 7457, 7444, 7786,
-    ],
-    [
-      8359, 8360, 8361, 8362, 8363, 8364, 8365, 8366, 8367, 8368, 8369, 8276,
-      8262, 8233, 8219, 8196, 8130, 7922, 7919, 8109, 8099, 7878, 7871, 8063,
-      8052, 7843, 7622, 7566, 7560, 7521, 7514, 7787,
-    ],
-    [
-      8370, 8371, 8372, 8373, 8374, 8375, 8376, 8377, 8378, 8379, 8380, 8283,
-      8269, 8240, 8226, 8203, 8135, 7931, 7927, 8114, 8104, 7883, 7875, 8068,
-      8057, 7847, 7627, 7578, 7572, 7534, 7527, 7788,
-    ],
-    [
-      8381, 8382, 8383, 8384, 8385, 8386, 8387, 8388, 8389, 8390, 8391, 8297,
-      8290, 8254, 8247, 8210, 8140, 7939, 7934, 8124, 8119, 7890, 7886, 8077,
-      8072, 7867, 7656, 7604, 7598, 7547, 7540, 7789,
-    ],
-    [
-      8392, 8393, 8394, 8395, 8396, 8397, 8398, 8399, 8400, 8401, 8402, 8304,
-      8268, 8261, 8224, 8217, 7967, 8150, 8145, 7946, 7942, 8103, 8098, 7898,
-      7895, 8082, 7667, 7661, 7616, 7610, 7553, 7790,
-    ],
-    [
-      8403, 8404, 8405, 8406, 8407, 8408, 8409, 8410, 8411, 8412, 8413, 8311,
-      8289, 8275, 8245, 8231, 7987, 8165, 8154, 7959, 7951, 8118, 8108, 7907,
-      7903, 8087, 7678, 7672, 7638, 7632, 7584, 7791,
-    ],
-    [
-      8414, 8415, 8416, 8417, 8418, 8419, 8420, 8421, 8422, 8423, 8424, 8318,
-      8296, 8282, 8252, 8238, 7991, 8170, 8159, 7963, 7954, 8123, 8113, 7915,
-      7910, 8092, 7689, 7683, 7650, 7644, 7591, 7792,
-    ],
-    [
-      8425, 8426, 8427, 8428, 8429, 8430, 8431, 8432, 8433, 8434, 8435, 8325,
-      8310, 8303, 8273, 8259, 8027, 8179, 8174, 8010, 8002, 8153, 8142, 7974,
-      7971, 8127, 7763, 7751, 7727, 7715, 7694, 7793,
-    ],
-    [
-      8436, 8437, 8438, 8439, 8440, 8441, 8442, 8443, 8444, 8445, 8446, 8324,
-      8317, 8301, 8280, 8266, 8031, 8184, 8173, 8015, 8007, 8158, 8147, 7982,
-      7978, 8132, 7768, 7757, 7733, 7721, 7701, 7794,
-    ],
-    [
-      8447, 8448, 8449, 8450, 8451, 8452, 8453, 8454, 8455, 8456, 8457, 8322,
-      8315, 8308, 8294, 8287, 8035, 8183, 8178, 8022, 8018, 8167, 8162, 7999,
-      7994, 8137, 7779, 7773, 7745, 7739, 7708, 7795,
-    ],
-    [8036, 8190, 8197, 8347, 8336, 8458, 8459],
-    [8041, 8358, 8335, 8188, 8204, 8460, 8461],
-    [8046, 8187, 8211, 8346, 8357, 8462, 8463],
-    [8051, 8218, 8195, 8369, 8333, 8464, 8465],
-    [8202, 8225, 8056, 8380, 8331, 8466, 8467],
-    [8344, 8368, 8061, 8194, 8232, 8468, 8469],
-    [8201, 8066, 8239, 8379, 8355, 8470, 8471],
-    [8071, 8209, 8342, 8246, 8391, 8472, 8473],
-    [8076, 8208, 8253, 8353, 8390, 8474, 8475],
-    [8081, 8402, 8329, 8216, 8223, 8476, 8477],
-    [8244, 8086, 8230, 8413, 8340, 8478, 8479],
-    [8091, 8251, 8424, 8237, 8351, 8480, 8481],
-    [8096, 8215, 8260, 8366, 8401, 8482, 8483],
-    [8222, 8101, 8267, 8377, 8399, 8484, 8485],
-    [8274, 8106, 8229, 8412, 8364, 8486, 8487],
-    [8236, 8111, 8281, 8375, 8423, 8488, 8489],
-    [8288, 8116, 8243, 8410, 8388, 8490, 8491],
-    [8121, 8295, 8250, 8421, 8386, 8492, 8493],
-    [8126, 8258, 8362, 8272, 8435, 8494, 8495],
-    [8265, 8131, 8279, 8373, 8446, 8496, 8497],
-    [8136, 8384, 8457, 8293, 8286, 8498, 8499],
-    [8141, 8257, 8302, 8397, 8434, 8500, 8501],
-    [8146, 8300, 8445, 8264, 8395, 8502, 8503],
-    [8309, 8151, 8271, 8408, 8432, 8504, 8505],
-    [8419, 8443, 8156, 8316, 8278, 8506, 8507],
-    [8285, 8307, 8161, 8406, 8456, 8508, 8509],
-    [8166, 8292, 8314, 8417, 8454, 8510, 8511],
-    [8171, 8323, 8299, 8441, 8430, 8512, 8513],
-    [8176, 8428, 8452, 8321, 8306, 8514, 8515],
-    [8181, 8320, 8313, 8439, 8450, 8516, 8517],
-    [
-      8518, 8519, 8520, 8521, 8522, 8523, 8524, 8462, 8356, 8345, 8460, 8458,
-      8334, 8186,
-    ],
-    [
-      8525, 8526, 8527, 8528, 8529, 8530, 8524, 8367, 8468, 8465, 8343, 8332,
-      8459, 8193,
-    ],
-    [
-      8531, 8532, 8533, 8534, 8535, 8536, 8523, 8378, 8470, 8466, 8354, 8330,
-      8461, 8200,
-    ],
-    [
-      8537, 8538, 8539, 8540, 8541, 8542, 8521, 8389, 8474, 8472, 8352, 8341,
-      8463, 8207,
-    ],
-    [
-      8543, 8544, 8545, 8546, 8547, 8548, 8530, 8482, 8400, 8365, 8476, 8464,
-      8328, 8214,
-    ],
-    [
-      8549, 8550, 8551, 8552, 8553, 8548, 8536, 8484, 8398, 8376, 8477, 8467,
-      8327, 8221,
-    ],
-    [
-      8554, 8555, 8556, 8557, 8558, 8559, 8528, 8487, 8411, 8363, 8479, 8469,
-      8339, 8228,
-    ],
-    [
-      8560, 8561, 8562, 8563, 8564, 8565, 8534, 8488, 8422, 8374, 8481, 8471,
-      8350, 8235,
-    ],
-    [
-      8566, 8567, 8568, 8569, 8570, 8559, 8542, 8491, 8409, 8387, 8478, 8473,
-      8338, 8242,
-    ],
-    [
-      8571, 8572, 8573, 8574, 8575, 8565, 8540, 8493, 8420, 8385, 8480, 8475,
-      8349, 8249,
-    ],
-    [
-      8576, 8577, 8578, 8579, 8580, 8581, 8546, 8433, 8500, 8494, 8396, 8361,
-      8483, 8256,
-    ],
-    [
-      8582, 8583, 8584, 8585, 8586, 8587, 8552, 8444, 8503, 8496, 8394, 8372,
-      8485, 8263,
-    ],
-    [
-      8588, 8589, 8590, 8591, 8592, 8581, 8557, 8431, 8505, 8495, 8407, 8360,
-      8486, 8270,
-    ],
-    [
-      8593, 8594, 8595, 8596, 8597, 8587, 8563, 8442, 8507, 8497, 8418, 8371,
-      8489, 8277,
-    ],
-    [
-      8598, 8599, 8600, 8601, 8602, 8603, 8569, 8455, 8508, 8499, 8405, 8383,
-      8490, 8284,
-    ],
-    [
-      8604, 8605, 8606, 8607, 8608, 8603, 8574, 8453, 8510, 8498, 8416, 8382,
-      8492, 8291,
-    ],
-    [
-      8609, 8610, 8611, 8612, 8613, 8585, 8579, 8513, 8440, 8429, 8502, 8501,
-      8393, 8298,
-    ],
-    [
-      8614, 8615, 8616, 8617, 8618, 8601, 8591, 8515, 8451, 8427, 8509, 8504,
-      8404, 8305,
-    ],
-    [
-      8619, 8620, 8621, 8622, 8623, 8607, 8596, 8517, 8449, 8438, 8511, 8506,
-      8415, 8312,
-    ],
-    [
-      8624, 8625, 8626, 8622, 8627, 8617, 8612, 8448, 8516, 8514, 8437, 8426,
-      8512, 8319,
-    ],
-    [8326, 8522, 8547, 8535, 8553, 8529, 8628],
-    [8527, 8337, 8541, 8570, 8558, 8520, 8629],
-    [8575, 8348, 8519, 8533, 8564, 8539, 8630],
-    [8526, 8359, 8580, 8592, 8556, 8545, 8631],
-    [8562, 8586, 8597, 8532, 8551, 8370, 8632],
-    [8538, 8381, 8608, 8602, 8568, 8573, 8633],
-    [8613, 8392, 8544, 8550, 8584, 8578, 8634],
-    [8567, 8590, 8555, 8600, 8618, 8403, 8635],
-    [8623, 8414, 8572, 8561, 8595, 8606, 8636],
-    [8577, 8425, 8627, 8616, 8589, 8611, 8637],
-    [8621, 8436, 8610, 8583, 8594, 8626, 8638],
-    [8447, 8605, 8625, 8599, 8615, 8620, 8639],
-    [
-      8624, 8639, 8638, 8619, 8637, 8614, 8609, 8636, 8604, 8635, 8598, 8593,
-      8588, 8634, 8582, 8576, 8633, 8632, 8631, 8571, 8566, 8560, 8554, 8549,
-      8543, 8630, 8629, 8628, 8537, 8531, 8525, 8518,
-    ],
-  ],
-}
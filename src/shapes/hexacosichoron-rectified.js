@@ -1,7205 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.07978784486061616, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, -0.07978784486061616, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, -0.018835355165312644, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.30901699437494745, 0.018835355165312644, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.30901699437494745, 0.07978784486061616, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.27639320225002106, -0.15957568972123232, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.27639320225002106, -0.15957568972123232, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, -0.15957568972123232, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      -0.27639320225002106, -0.09862320002592881, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [-0.27639320225002106, -0.09862320002592881, 0.1394742670413031, 0.0],
-    [
-      -0.27639320225002106, -0.06095248969530351, -0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, -0.06095248969530351, 0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      -0.27639320225002106, -0.06095248969530351, 0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [-0.27639320225002106, 0.0, -0.16925557847160572, 0.02306850463955574],
-    [-0.27639320225002106, 0.0, -0.10460570028097732, -0.1350453783688632],
-    [-0.27639320225002106, 0.0, -0.06464987819062842, 0.15811388300841894],
-    [-0.27639320225002106, 0.0, 0.06464987819062842, -0.15811388300841894],
-    [-0.27639320225002106, 0.0, 0.10460570028097732, 0.1350453783688632],
-    [-0.27639320225002106, 0.0, 0.16925557847160572, -0.02306850463955574],
-    [
-      -0.27639320225002106, 0.06095248969530351, -0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, -0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      -0.27639320225002106, 0.06095248969530351, 0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [-0.27639320225002106, 0.09862320002592881, -0.1394742670413031, 0.0],
-    [
-      -0.27639320225002106, 0.09862320002592881, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.27639320225002106, 0.09862320002592881, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      -0.27639320225002106, 0.15957568972123232, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.27639320225002106, 0.15957568972123232, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.27639320225002106, 0.15957568972123232, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.223606797749979, -0.22772264489950939, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, -0.19005193456888408, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [-0.223606797749979, -0.19005193456888408, 0.1394742670413031, 0.0],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      -0.223606797749979, -0.12909944487358055, 0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, -0.06814695517827704, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [-0.223606797749979, -0.06814695517827704, 0.22567410462880766, 0.0],
-    [
-      -0.223606797749979, -0.030476244847651754, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, -0.030476244847651754, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, 0.030476244847651754, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [-0.223606797749979, 0.06814695517827704, -0.22567410462880766, 0.0],
-    [
-      -0.223606797749979, 0.06814695517827704, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, 0.06814695517827704, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, 0.12909944487358055, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [-0.223606797749979, 0.19005193456888408, -0.1394742670413031, 0.0],
-    [
-      -0.223606797749979, 0.19005193456888408, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.223606797749979, 0.19005193456888408, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.223606797749979, 0.22772264489950939, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, -0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, 0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, -0.20888728973419673, 0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.19098300562505258, -0.049311600012964404, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.19098300562505258, 0.049311600012964404, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, -0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, -0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      -0.19098300562505258, 0.20888728973419673, 0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, -0.2581988897471611, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      -0.17082039324993692, -0.15957568972123232, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [-0.17082039324993692, -0.15957568972123232, 0.22567410462880766, 0.0],
-    [
-      -0.17082039324993692, -0.09862320002592881, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, -0.09862320002592881, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.17082039324993692, -0.09862320002592881, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [-0.17082039324993692, 0.0, -0.27386127875258304, 0.03732562457643583],
-    [-0.17082039324993692, 0.0, -0.16925557847160572, -0.21850801222441052],
-    [-0.17082039324993692, 0.0, -0.10460570028097732, 0.25583363680084636],
-    [-0.17082039324993692, 0.0, 0.10460570028097732, -0.25583363680084636],
-    [-0.17082039324993692, 0.0, 0.16925557847160572, 0.21850801222441052],
-    [-0.17082039324993692, 0.0, 0.27386127875258304, -0.03732562457643583],
-    [
-      -0.17082039324993692, 0.09862320002592881, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.17082039324993692, 0.09862320002592881, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.17082039324993692, 0.09862320002592881, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [-0.17082039324993692, 0.15957568972123232, -0.22567410462880766, 0.0],
-    [
-      -0.17082039324993692, 0.15957568972123232, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.17082039324993692, 0.15957568972123232, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.17082039324993692, 0.2581988897471611, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, -0.27703424491247375, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, -0.2393635345818485, -0.16925557847160572,
-      0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, -0.2393635345818485, -0.10460570028097732,
-      -0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, -0.2393635345818485, -0.06464987819062842,
-      0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, -0.2393635345818485, 0.06464987819062842,
-      -0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, -0.2393635345818485, 0.10460570028097732,
-      0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, -0.2393635345818485, 0.16925557847160572,
-      -0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, -0.17841104488654497, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, -0.14074033455591967, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, -0.07978784486061616, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, -0.07978784486061616, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      -0.13819660112501053, -0.07978784486061616, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, -0.07978784486061616, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      -0.13819660112501053, -0.07978784486061616, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, -0.07978784486061616, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      -0.13819660112501053, -0.018835355165312644, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, 0.018835355165312644, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, 0.07978784486061616, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, 0.07978784486061616, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, 0.07978784486061616, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      -0.13819660112501053, 0.07978784486061616, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, 0.07978784486061616, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      -0.13819660112501053, 0.07978784486061616, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.13819660112501053, 0.14074033455591967, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, 0.17841104488654497, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [
-      -0.13819660112501053, 0.2393635345818485, -0.16925557847160572,
-      0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, 0.2393635345818485, -0.10460570028097732,
-      -0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, 0.2393635345818485, -0.06464987819062842,
-      0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, 0.2393635345818485, 0.06464987819062842,
-      -0.15811388300841894,
-    ],
-    [
-      -0.13819660112501053, 0.2393635345818485, 0.10460570028097732,
-      0.1350453783688632,
-    ],
-    [
-      -0.13819660112501053, 0.2393635345818485, 0.16925557847160572,
-      -0.02306850463955574,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      -0.13819660112501053, 0.27703424491247375, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, -0.3075104897601255, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, -0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, -0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      -0.08541019662496846, -0.2698397794295002, 0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      -0.08541019662496846, -0.20888728973419673, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.1479348000388932, -0.27386127875258304,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.1479348000388932, -0.16925557847160572,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.1479348000388932, -0.10460570028097732,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.1479348000388932, 0.10460570028097732,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.1479348000388932, 0.16925557847160572,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.1479348000388932, 0.27386127875258304,
-      -0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, -0.11026408970826793, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, -0.049311600012964404, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, 0.049311600012964404, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      -0.08541019662496846, 0.11026408970826793, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, 0.1479348000388932, -0.27386127875258304,
-      0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, 0.1479348000388932, -0.16925557847160572,
-      -0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.1479348000388932, -0.10460570028097732,
-      0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.1479348000388932, 0.10460570028097732,
-      -0.25583363680084636,
-    ],
-    [
-      -0.08541019662496846, 0.1479348000388932, 0.16925557847160572,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.1479348000388932, 0.27386127875258304,
-      -0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      -0.08541019662496846, 0.20888728973419673, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, -0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, 0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      -0.08541019662496846, 0.2698397794295002, 0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      -0.08541019662496846, 0.3075104897601255, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [-0.05278640450004206, -0.28867513459481287, -0.1394742670413031, 0.0],
-    [
-      -0.05278640450004206, -0.28867513459481287, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, -0.28867513459481287, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [-0.05278640450004206, -0.22772264489950939, -0.22567410462880766, 0.0],
-    [
-      -0.05278640450004206, -0.22772264489950939, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, -0.22772264489950939, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, -0.19005193456888408, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, -0.12909944487358055, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, -0.030476244847651754, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, 0.030476244847651754, 0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      -0.05278640450004206, 0.12909944487358055, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      -0.05278640450004206, 0.19005193456888408, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      -0.05278640450004206, 0.22772264489950939, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [-0.05278640450004206, 0.22772264489950939, 0.22567410462880766, 0.0],
-    [
-      -0.05278640450004206, 0.28867513459481287, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      -0.05278640450004206, 0.28867513459481287, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, 0.28867513459481287, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      -0.05278640450004206, 0.28867513459481287, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      -0.05278640450004206, 0.28867513459481287, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [-0.05278640450004206, 0.28867513459481287, 0.1394742670413031, 0.0],
-    [0.0, -0.31915137944246463, -0.056418526157201915, -0.02306850463955574],
-    [0.0, -0.31915137944246463, 0.008231352033426498, 0.06039412921599156],
-    [0.0, -0.31915137944246463, 0.048187174123775406, -0.03732562457643583],
-    [0.0, -0.2581988897471611, -0.18257418583505536, -0.07465124915287166],
-    [0.0, -0.2581988897471611, -0.18257418583505536, 0.07465124915287166],
-    [0.0, -0.2581988897471611, -0.11792430764442696, 0.15811388300841894],
-    [0.0, -0.2581988897471611, -0.07796848555407804, -0.18118238764797473],
-    [0.0, -0.2581988897471611, 0.026637214726899276, -0.1954395075848548],
-    [0.0, -0.2581988897471611, 0.026637214726899276, 0.1954395075848548],
-    [0.0, -0.2581988897471611, 0.15593697110815607, -0.12078825843198313],
-    [0.0, -0.2581988897471611, 0.15593697110815607, 0.12078825843198313],
-    [0.0, -0.2581988897471611, 0.195892793198505, 0.02306850463955574],
-    [0.0, -0.19724640005185762, -0.2041241452319315, 0.15811388300841894],
-    [0.0, -0.19724640005185762, -0.03486856676032578, -0.25583363680084636],
-    [0.0, -0.19724640005185762, 0.2389927119922573, 0.0977197537924274],
-    [0.0, -0.15957568972123232, -0.28209263078600955, -0.02306850463955574],
-    [0.0, -0.15957568972123232, -0.21744275259538115, -0.18118238764797473],
-    [0.0, -0.15957568972123232, -0.048187174123775406, 0.27890214144040215],
-    [0.0, -0.15957568972123232, 0.12106840434783031, 0.25583363680084636],
-    [0.0, -0.15957568972123232, 0.1610242264381792, -0.23276513216129063],
-    [0.0, -0.15957568972123232, 0.26562992671915653, -0.0977197537924274],
-    [0.0, -0.09862320002592881, -0.30364259018288564, 0.06039412921599156],
-    [0.0, -0.09862320002592881, -0.17434283380162885, -0.25583363680084636],
-    [0.0, -0.09862320002592881, -0.13438701171127998, 0.27890214144040215],
-    [0.0, -0.09862320002592881, 0.09951844495095419, -0.2931592613772822],
-    [0.0, -0.09862320002592881, 0.2041241452319315, 0.23276513216129063],
-    [0.0, -0.09862320002592881, 0.30872984551290883, -0.02306850463955574],
-    [0.0, -0.06095248969530351, -0.31696119754633534, -0.03732562457643583],
-    [0.0, -0.06095248969530351, -0.25231131935570694, -0.1954395075848548],
-    [0.0, -0.06095248969530351, -0.25231131935570694, 0.1954395075848548],
-    [0.0, -0.06095248969530351, -0.04309991879375227, -0.3162277660168379],
-    [0.0, -0.06095248969530351, -0.04309991879375227, 0.3162277660168379],
-    [0.0, -0.06095248969530351, 0.12615565967785347, 0.2931592613772822],
-    [0.0, -0.06095248969530351, 0.19080553786848187, -0.25583363680084636],
-    [0.0, -0.06095248969530351, 0.29541123814945924, -0.12078825843198313],
-    [0.0, -0.06095248969530351, 0.29541123814945924, 0.12078825843198313],
-    [0.0, 0.06095248969530351, -0.29541123814945924, -0.12078825843198313],
-    [0.0, 0.06095248969530351, -0.29541123814945924, 0.12078825843198313],
-    [0.0, 0.06095248969530351, -0.19080553786848187, 0.25583363680084636],
-    [0.0, 0.06095248969530351, -0.12615565967785347, -0.2931592613772822],
-    [0.0, 0.06095248969530351, 0.04309991879375227, -0.3162277660168379],
-    [0.0, 0.06095248969530351, 0.04309991879375227, 0.3162277660168379],
-    [0.0, 0.06095248969530351, 0.25231131935570694, -0.1954395075848548],
-    [0.0, 0.06095248969530351, 0.25231131935570694, 0.1954395075848548],
-    [0.0, 0.06095248969530351, 0.31696119754633534, 0.03732562457643583],
-    [0.0, 0.09862320002592881, -0.30872984551290883, 0.02306850463955574],
-    [0.0, 0.09862320002592881, -0.2041241452319315, -0.23276513216129063],
-    [0.0, 0.09862320002592881, -0.09951844495095419, 0.2931592613772822],
-    [0.0, 0.09862320002592881, 0.13438701171127998, -0.27890214144040215],
-    [0.0, 0.09862320002592881, 0.17434283380162885, 0.25583363680084636],
-    [0.0, 0.09862320002592881, 0.30364259018288564, -0.06039412921599156],
-    [0.0, 0.15957568972123232, -0.26562992671915653, 0.0977197537924274],
-    [0.0, 0.15957568972123232, -0.1610242264381792, 0.23276513216129063],
-    [0.0, 0.15957568972123232, -0.12106840434783031, -0.25583363680084636],
-    [0.0, 0.15957568972123232, 0.048187174123775406, -0.27890214144040215],
-    [0.0, 0.15957568972123232, 0.21744275259538115, 0.18118238764797473],
-    [0.0, 0.15957568972123232, 0.28209263078600955, 0.02306850463955574],
-    [0.0, 0.19724640005185762, -0.2389927119922573, -0.0977197537924274],
-    [0.0, 0.19724640005185762, 0.03486856676032578, 0.25583363680084636],
-    [0.0, 0.19724640005185762, 0.2041241452319315, -0.15811388300841894],
-    [0.0, 0.2581988897471611, -0.195892793198505, -0.02306850463955574],
-    [0.0, 0.2581988897471611, -0.15593697110815607, -0.12078825843198313],
-    [0.0, 0.2581988897471611, -0.15593697110815607, 0.12078825843198313],
-    [0.0, 0.2581988897471611, -0.026637214726899276, -0.1954395075848548],
-    [0.0, 0.2581988897471611, -0.026637214726899276, 0.1954395075848548],
-    [0.0, 0.2581988897471611, 0.07796848555407804, 0.18118238764797473],
-    [0.0, 0.2581988897471611, 0.11792430764442696, -0.15811388300841894],
-    [0.0, 0.2581988897471611, 0.18257418583505536, -0.07465124915287166],
-    [0.0, 0.2581988897471611, 0.18257418583505536, 0.07465124915287166],
-    [0.0, 0.31915137944246463, -0.048187174123775406, 0.03732562457643583],
-    [0.0, 0.31915137944246463, -0.008231352033426498, -0.06039412921599156],
-    [0.0, 0.31915137944246463, 0.056418526157201915, 0.02306850463955574],
-    [0.05278640450004206, -0.28867513459481287, -0.1394742670413031, 0.0],
-    [
-      0.05278640450004206, -0.28867513459481287, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, -0.28867513459481287, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [0.05278640450004206, -0.22772264489950939, -0.22567410462880766, 0.0],
-    [
-      0.05278640450004206, -0.22772264489950939, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, -0.22772264489950939, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, -0.19005193456888408, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, -0.12909944487358055, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.19080553786848187,
-      0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, -0.12615565967785347,
-      -0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, -0.030476244847651754, 0.31696119754633534,
-      0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.31696119754633534,
-      -0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.25231131935570694,
-      -0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.25231131935570694,
-      0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.04309991879375227,
-      -0.3162277660168379,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, -0.04309991879375227,
-      0.3162277660168379,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.12615565967785347,
-      0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.19080553786848187,
-      -0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.29541123814945924,
-      -0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, 0.030476244847651754, 0.29541123814945924,
-      0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      0.05278640450004206, 0.12909944487358055, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.05278640450004206, 0.19005193456888408, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      0.05278640450004206, 0.22772264489950939, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [0.05278640450004206, 0.22772264489950939, 0.22567410462880766, 0.0],
-    [
-      0.05278640450004206, 0.28867513459481287, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      0.05278640450004206, 0.28867513459481287, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, 0.28867513459481287, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.05278640450004206, 0.28867513459481287, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      0.05278640450004206, 0.28867513459481287, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [0.05278640450004206, 0.28867513459481287, 0.1394742670413031, 0.0],
-    [
-      0.08541019662496846, -0.3075104897601255, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, -0.3075104897601255, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, -0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, -0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      0.08541019662496846, -0.2698397794295002, 0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      0.08541019662496846, -0.20888728973419673, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, -0.1479348000388932, -0.27386127875258304,
-      0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, -0.1479348000388932, -0.16925557847160572,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.1479348000388932, -0.10460570028097732,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.1479348000388932, 0.10460570028097732,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.1479348000388932, 0.16925557847160572,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.1479348000388932, 0.27386127875258304,
-      -0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, -0.11026408970826793, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, -0.30872984551290883,
-      0.02306850463955574,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, -0.2041241452319315,
-      -0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, -0.09951844495095419,
-      0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, 0.13438701171127998,
-      -0.27890214144040215,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, 0.17434283380162885,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, -0.049311600012964404, 0.30364259018288564,
-      -0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, -0.30364259018288564,
-      0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, -0.17434283380162885,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, -0.13438701171127998,
-      0.27890214144040215,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, 0.09951844495095419,
-      -0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, 0.2041241452319315,
-      0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, 0.049311600012964404, 0.30872984551290883,
-      -0.02306850463955574,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      0.08541019662496846, 0.11026408970826793, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, 0.1479348000388932, -0.27386127875258304,
-      0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, 0.1479348000388932, -0.16925557847160572,
-      -0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.1479348000388932, -0.10460570028097732,
-      0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.1479348000388932, 0.10460570028097732,
-      -0.25583363680084636,
-    ],
-    [
-      0.08541019662496846, 0.1479348000388932, 0.16925557847160572,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.1479348000388932, 0.27386127875258304,
-      -0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      0.08541019662496846, 0.20888728973419673, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, -0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, 0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      0.08541019662496846, 0.2698397794295002, 0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.08541019662496846, 0.3075104897601255, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, -0.27703424491247375, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, -0.2393635345818485, -0.16925557847160572,
-      0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, -0.2393635345818485, -0.10460570028097732,
-      -0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, -0.2393635345818485, -0.06464987819062842,
-      0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, -0.2393635345818485, 0.06464987819062842,
-      -0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, -0.2393635345818485, 0.10460570028097732,
-      0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, -0.2393635345818485, 0.16925557847160572,
-      -0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, -0.17841104488654497, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, -0.14074033455591967, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, -0.07978784486061616, -0.26562992671915653,
-      0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, -0.07978784486061616, -0.1610242264381792,
-      0.23276513216129063,
-    ],
-    [
-      0.13819660112501053, -0.07978784486061616, -0.12106840434783031,
-      -0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, -0.07978784486061616, 0.048187174123775406,
-      -0.27890214144040215,
-    ],
-    [
-      0.13819660112501053, -0.07978784486061616, 0.21744275259538115,
-      0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, -0.07978784486061616, 0.28209263078600955,
-      0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.28717988611603273,
-      -0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.24722406402568378,
-      -0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, -0.013318607363449638,
-      0.2931592613772822,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.09128709291752768,
-      0.27890214144040215,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.195892793198505,
-      -0.21850801222441052,
-    ],
-    [
-      0.13819660112501053, -0.018835355165312644, 0.26054267138913345,
-      -0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.26054267138913345,
-      0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.195892793198505,
-      0.21850801222441052,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, -0.09128709291752768,
-      -0.27890214144040215,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.013318607363449638,
-      -0.2931592613772822,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.24722406402568378,
-      0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, 0.018835355165312644, 0.28717988611603273,
-      0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, 0.07978784486061616, -0.28209263078600955,
-      -0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, 0.07978784486061616, -0.21744275259538115,
-      -0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, 0.07978784486061616, -0.048187174123775406,
-      0.27890214144040215,
-    ],
-    [
-      0.13819660112501053, 0.07978784486061616, 0.12106840434783031,
-      0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, 0.07978784486061616, 0.1610242264381792,
-      -0.23276513216129063,
-    ],
-    [
-      0.13819660112501053, 0.07978784486061616, 0.26562992671915653,
-      -0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.13819660112501053, 0.14074033455591967, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, 0.17841104488654497, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [
-      0.13819660112501053, 0.2393635345818485, -0.16925557847160572,
-      0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, 0.2393635345818485, -0.10460570028097732,
-      -0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, 0.2393635345818485, -0.06464987819062842,
-      0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, 0.2393635345818485, 0.06464987819062842,
-      -0.15811388300841894,
-    ],
-    [
-      0.13819660112501053, 0.2393635345818485, 0.10460570028097732,
-      0.1350453783688632,
-    ],
-    [
-      0.13819660112501053, 0.2393635345818485, 0.16925557847160572,
-      -0.02306850463955574,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.13819660112501053, 0.27703424491247375, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, -0.2581988897471611, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      0.17082039324993692, -0.15957568972123232, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [0.17082039324993692, -0.15957568972123232, 0.22567410462880766, 0.0],
-    [
-      0.17082039324993692, -0.09862320002592881, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, -0.09862320002592881, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.17082039324993692, -0.09862320002592881, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [0.17082039324993692, 0.0, -0.27386127875258304, 0.03732562457643583],
-    [0.17082039324993692, 0.0, -0.16925557847160572, -0.21850801222441052],
-    [0.17082039324993692, 0.0, -0.10460570028097732, 0.25583363680084636],
-    [0.17082039324993692, 0.0, 0.10460570028097732, -0.25583363680084636],
-    [0.17082039324993692, 0.0, 0.16925557847160572, 0.21850801222441052],
-    [0.17082039324993692, 0.0, 0.27386127875258304, -0.03732562457643583],
-    [
-      0.17082039324993692, 0.09862320002592881, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.17082039324993692, 0.09862320002592881, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.17082039324993692, 0.09862320002592881, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [0.17082039324993692, 0.15957568972123232, -0.22567410462880766, 0.0],
-    [
-      0.17082039324993692, 0.15957568972123232, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.17082039324993692, 0.15957568972123232, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.17082039324993692, 0.2581988897471611, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, -0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, 0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, -0.20888728973419673, 0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, -0.2041241452319315,
-      0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, -0.03486856676032578,
-      -0.25583363680084636,
-    ],
-    [
-      0.19098300562505258, -0.049311600012964404, 0.2389927119922573,
-      0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, -0.2389927119922573,
-      -0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, 0.03486856676032578,
-      0.25583363680084636,
-    ],
-    [
-      0.19098300562505258, 0.049311600012964404, 0.2041241452319315,
-      -0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, -0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, -0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      0.19098300562505258, 0.20888728973419673, 0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.223606797749979, -0.22772264489950939, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      0.223606797749979, -0.19005193456888408, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [0.223606797749979, -0.19005193456888408, 0.1394742670413031, 0.0],
-    [
-      0.223606797749979, -0.12909944487358055, -0.195892793198505,
-      -0.02306850463955574,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, -0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.07796848555407804,
-      0.18118238764797473,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.11792430764442696,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      0.223606797749979, -0.12909944487358055, 0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, -0.21744275259538115,
-      0.06039412921599156,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, -0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, -0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, 0.056418526157201915,
-      -0.21850801222441052,
-    ],
-    [
-      0.223606797749979, -0.06814695517827704, 0.1610242264381792,
-      0.15811388300841894,
-    ],
-    [0.223606797749979, -0.06814695517827704, 0.22567410462880766, 0.0],
-    [
-      0.223606797749979, -0.030476244847651754, -0.2307613599588308,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, -0.19080553786848187,
-      -0.1350453783688632,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, -0.021549959396876137,
-      0.23276513216129063,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, 0.0830557408841012,
-      0.21850801222441052,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, 0.14770561907472962,
-      -0.18118238764797473,
-    ],
-    [
-      0.223606797749979, -0.030476244847651754, 0.21235549726535802,
-      -0.0977197537924274,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, -0.21235549726535802,
-      0.0977197537924274,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, -0.14770561907472962,
-      0.18118238764797473,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, -0.0830557408841012,
-      -0.21850801222441052,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, 0.021549959396876137,
-      -0.23276513216129063,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, 0.19080553786848187,
-      0.1350453783688632,
-    ],
-    [
-      0.223606797749979, 0.030476244847651754, 0.2307613599588308,
-      0.03732562457643583,
-    ],
-    [0.223606797749979, 0.06814695517827704, -0.22567410462880766, 0.0],
-    [
-      0.223606797749979, 0.06814695517827704, -0.1610242264381792,
-      -0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, -0.056418526157201915,
-      0.21850801222441052,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, 0.11283705231440383,
-      -0.1954395075848548,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, 0.11283705231440383,
-      0.1954395075848548,
-    ],
-    [
-      0.223606797749979, 0.06814695517827704, 0.21744275259538115,
-      -0.06039412921599156,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.18257418583505536,
-      -0.07465124915287166,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.18257418583505536,
-      0.07465124915287166,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.11792430764442696,
-      0.15811388300841894,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, -0.07796848555407804,
-      -0.18118238764797473,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.026637214726899276,
-      -0.1954395075848548,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.026637214726899276,
-      0.1954395075848548,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.15593697110815607,
-      -0.12078825843198313,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.15593697110815607,
-      0.12078825843198313,
-    ],
-    [
-      0.223606797749979, 0.12909944487358055, 0.195892793198505,
-      0.02306850463955574,
-    ],
-    [0.223606797749979, 0.19005193456888408, -0.1394742670413031, 0.0],
-    [
-      0.223606797749979, 0.19005193456888408, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.223606797749979, 0.19005193456888408, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.223606797749979, 0.22772264489950939, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      0.27639320225002106, -0.15957568972123232, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.27639320225002106, -0.15957568972123232, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, -0.15957568972123232, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, -0.13438701171127998,
-      0.03732562457643583,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, -0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, -0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, 0.03486856676032578,
-      -0.1350453783688632,
-    ],
-    [
-      0.27639320225002106, -0.09862320002592881, 0.09951844495095419,
-      0.0977197537924274,
-    ],
-    [0.27639320225002106, -0.09862320002592881, 0.1394742670413031, 0.0],
-    [
-      0.27639320225002106, -0.06095248969530351, -0.14770561907472962,
-      -0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, -0.06095248969530351, 0.021549959396876137,
-      0.15811388300841894,
-    ],
-    [
-      0.27639320225002106, -0.06095248969530351, 0.12615565967785347,
-      -0.0977197537924274,
-    ],
-    [0.27639320225002106, 0.0, -0.16925557847160572, 0.02306850463955574],
-    [0.27639320225002106, 0.0, -0.10460570028097732, -0.1350453783688632],
-    [0.27639320225002106, 0.0, -0.06464987819062842, 0.15811388300841894],
-    [0.27639320225002106, 0.0, 0.06464987819062842, -0.15811388300841894],
-    [0.27639320225002106, 0.0, 0.10460570028097732, 0.1350453783688632],
-    [0.27639320225002106, 0.0, 0.16925557847160572, -0.02306850463955574],
-    [
-      0.27639320225002106, 0.06095248969530351, -0.12615565967785347,
-      0.0977197537924274,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, -0.021549959396876137,
-      -0.15811388300841894,
-    ],
-    [
-      0.27639320225002106, 0.06095248969530351, 0.14770561907472962,
-      0.06039412921599156,
-    ],
-    [0.27639320225002106, 0.09862320002592881, -0.1394742670413031, 0.0],
-    [
-      0.27639320225002106, 0.09862320002592881, -0.09951844495095419,
-      -0.0977197537924274,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, -0.03486856676032578,
-      0.1350453783688632,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, 0.06973713352065156,
-      -0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, 0.06973713352065156,
-      0.12078825843198313,
-    ],
-    [
-      0.27639320225002106, 0.09862320002592881, 0.13438701171127998,
-      -0.03732562457643583,
-    ],
-    [
-      0.27639320225002106, 0.15957568972123232, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.27639320225002106, 0.15957568972123232, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.27639320225002106, 0.15957568972123232, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, -0.056418526157201915,
-      -0.02306850463955574,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, 0.008231352033426498,
-      0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, -0.07978784486061616, 0.048187174123775406,
-      -0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, -0.07796848555407804,
-      0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, -0.013318607363449638,
-      -0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, -0.018835355165312644, 0.09128709291752768,
-      0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, -0.09128709291752768,
-      -0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, 0.013318607363449638,
-      0.0977197537924274,
-    ],
-    [
-      0.30901699437494745, 0.018835355165312644, 0.07796848555407804,
-      -0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, -0.048187174123775406,
-      0.03732562457643583,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, -0.008231352033426498,
-      -0.06039412921599156,
-    ],
-    [
-      0.30901699437494745, 0.07978784486061616, 0.056418526157201915,
-      0.02306850463955574,
-    ],
-  ],
-  faces: [
-    [9, 10, 11],
-    [8, 10, 11],
-    [7, 9, 11],
-    [5, 8, 11],
-    [5, 7, 11],
-    [6, 9, 10],
-    [4, 8, 10],
-    [4, 6, 10],
-    [3, 7, 9],
-    [3, 6, 9],
-    [2, 5, 8],
-    [2, 4, 8],
-    [1, 5, 7],
-    [1, 3, 7],
-    [0, 4, 6],
-    [0, 3, 6],
-    [1, 2, 5],
-    [0, 2, 4],
-    [0, 1, 3],
-    [0, 1, 2],
-    [12, 13, 14],
-    [2, 13, 14],
-    [1, 12, 14],
-    [1, 2, 14],
-    [0, 12, 13],
-    [0, 2, 13],
-    [0, 1, 12],
-    [12, 15, 17],
-    [3, 15, 17],
-    [1, 12, 17],
-    [1, 3, 17],
-    [0, 12, 15],
-    [0, 3, 15],
-    [13, 16, 18],
-    [4, 16, 18],
-    [2, 13, 18],
-    [2, 4, 18],
-    [0, 13, 16],
-    [0, 4, 16],
-    [14, 19, 20],
-    [5, 19, 20],
-    [2, 14, 20],
-    [2, 5, 20],
-    [1, 14, 19],
-    [1, 5, 19],
-    [15, 21, 24],
-    [6, 21, 24],
-    [3, 15, 24],
-    [3, 6, 24],
-    [0, 15, 21],
-    [0, 6, 21],
-    [16, 21, 25],
-    [6, 21, 25],
-    [4, 16, 25],
-    [4, 6, 25],
-    [0, 16, 21],
-    [17, 22, 26],
-    [7, 22, 26],
-    [3, 17, 26],
-    [3, 7, 26],
-    [1, 17, 22],
-    [1, 7, 22],
-    [18, 23, 27],
-    [8, 23, 27],
-    [4, 18, 27],
-    [4, 8, 27],
-    [2, 18, 23],
-    [2, 8, 23],
-    [19, 22, 28],
-    [7, 22, 28],
-    [5, 19, 28],
-    [5, 7, 28],
-    [1, 19, 22],
-    [20, 23, 29],
-    [8, 23, 29],
-    [5, 20, 29],
-    [5, 8, 29],
-    [2, 20, 23],
-    [24, 30, 33],
-    [9, 30, 33],
-    [6, 24, 33],
-    [6, 9, 33],
-    [3, 24, 30],
-    [3, 9, 30],
-    [25, 31, 34],
-    [10, 31, 34],
-    [6, 25, 34],
-    [6, 10, 34],
-    [4, 25, 31],
-    [4, 10, 31],
-    [26, 30, 35],
-    [9, 30, 35],
-    [7, 26, 35],
-    [7, 9, 35],
-    [3, 26, 30],
-    [27, 31, 36],
-    [10, 31, 36],
-    [8, 27, 36],
-    [8, 10, 36],
-    [4, 27, 31],
-    [28, 32, 37],
-    [11, 32, 37],
-    [7, 28, 37],
-    [7, 11, 37],
-    [5, 28, 32],
-    [5, 11, 32],
-    [29, 32, 38],
-    [11, 32, 38],
-    [8, 29, 38],
-    [8, 11, 38],
-    [5, 29, 32],
-    [33, 34, 39],
-    [10, 34, 39],
-    [9, 33, 39],
-    [9, 10, 39],
-    [6, 33, 34],
-    [35, 37, 40],
-    [11, 37, 40],
-    [9, 35, 40],
-    [9, 11, 40],
-    [7, 35, 37],
-    [36, 38, 41],
-    [11, 38, 41],
-    [10, 36, 41],
-    [10, 11, 41],
-    [8, 36, 38],
-    [39, 40, 41],
-    [11, 40, 41],
-    [10, 39, 41],
-    [9, 39, 40],
-    [51, 52, 102],
-    [46, 52, 102],
-    [45, 51, 102],
-    [42, 46, 102],
-    [42, 45, 102],
-    [21, 51, 52],
-    [16, 46, 52],
-    [16, 21, 52],
-    [15, 45, 51],
-    [15, 21, 51],
-    [13, 42, 46],
-    [13, 16, 46],
-    [12, 42, 45],
-    [12, 15, 45],
-    [12, 13, 42],
-    [55, 56, 103],
-    [49, 56, 103],
-    [47, 55, 103],
-    [43, 49, 103],
-    [43, 47, 103],
-    [22, 55, 56],
-    [19, 49, 56],
-    [19, 22, 56],
-    [17, 47, 55],
-    [17, 22, 55],
-    [14, 43, 49],
-    [14, 19, 49],
-    [12, 43, 47],
-    [12, 17, 47],
-    [12, 14, 43],
-    [57, 58, 104],
-    [50, 58, 104],
-    [48, 57, 104],
-    [44, 50, 104],
-    [44, 48, 104],
-    [23, 57, 58],
-    [20, 50, 58],
-    [20, 23, 58],
-    [18, 48, 57],
-    [18, 23, 57],
-    [14, 44, 50],
-    [14, 20, 50],
-    [13, 44, 48],
-    [13, 18, 48],
-    [13, 14, 44],
-    [72, 73, 105],
-    [62, 73, 105],
-    [60, 72, 105],
-    [53, 62, 105],
-    [53, 60, 105],
-    [30, 72, 73],
-    [26, 62, 73],
-    [26, 30, 73],
-    [24, 60, 72],
-    [24, 30, 72],
-    [17, 53, 62],
-    [17, 26, 62],
-    [15, 53, 60],
-    [15, 24, 60],
-    [15, 17, 53],
-    [74, 75, 106],
-    [63, 75, 106],
-    [61, 74, 106],
-    [54, 63, 106],
-    [54, 61, 106],
-    [31, 74, 75],
-    [27, 63, 75],
-    [27, 31, 75],
-    [25, 61, 74],
-    [25, 31, 74],
-    [18, 54, 63],
-    [18, 27, 63],
-    [16, 54, 61],
-    [16, 25, 61],
-    [16, 18, 54],
-    [76, 77, 107],
-    [65, 77, 107],
-    [64, 76, 107],
-    [59, 65, 107],
-    [59, 64, 107],
-    [32, 76, 77],
-    [29, 65, 77],
-    [29, 32, 77],
-    [28, 64, 76],
-    [28, 32, 76],
-    [20, 59, 65],
-    [20, 29, 65],
-    [19, 59, 64],
-    [19, 28, 64],
-    [19, 20, 59],
-    [79, 84, 108],
-    [78, 84, 108],
-    [67, 79, 108],
-    [66, 78, 108],
-    [66, 67, 108],
-    [34, 79, 84],
-    [33, 78, 84],
-    [33, 34, 84],
-    [25, 67, 79],
-    [25, 34, 79],
-    [24, 66, 78],
-    [24, 33, 78],
-    [21, 66, 67],
-    [21, 25, 67],
-    [21, 24, 66],
-    [82, 89, 109],
-    [80, 89, 109],
-    [69, 82, 109],
-    [68, 80, 109],
-    [68, 69, 109],
-    [37, 82, 89],
-    [35, 80, 89],
-    [35, 37, 89],
-    [28, 69, 82],
-    [28, 37, 82],
-    [26, 68, 80],
-    [26, 35, 80],
-    [22, 68, 69],
-    [22, 28, 69],
-    [22, 26, 68],
-    [83, 90, 110],
-    [81, 90, 110],
-    [71, 83, 110],
-    [70, 81, 110],
-    [70, 71, 110],
-    [38, 83, 90],
-    [36, 81, 90],
-    [36, 38, 90],
-    [29, 71, 83],
-    [29, 38, 83],
-    [27, 70, 81],
-    [27, 36, 81],
-    [23, 70, 71],
-    [23, 29, 71],
-    [23, 27, 70],
-    [95, 99, 111],
-    [93, 99, 111],
-    [86, 95, 111],
-    [85, 93, 111],
-    [85, 86, 111],
-    [40, 95, 99],
-    [39, 93, 99],
-    [39, 40, 99],
-    [35, 86, 95],
-    [35, 40, 95],
-    [33, 85, 93],
-    [33, 39, 93],
-    [30, 85, 86],
-    [30, 35, 86],
-    [30, 33, 85],
-    [96, 100, 112],
-    [94, 100, 112],
-    [88, 96, 112],
-    [87, 94, 112],
-    [87, 88, 112],
-    [41, 96, 100],
-    [39, 94, 100],
-    [39, 41, 100],
-    [36, 88, 96],
-    [36, 41, 96],
-    [34, 87, 94],
-    [34, 39, 94],
-    [31, 87, 88],
-    [31, 36, 88],
-    [31, 34, 87],
-    [98, 101, 113],
-    [97, 101, 113],
-    [92, 98, 113],
-    [91, 97, 113],
-    [91, 92, 113],
-    [41, 98, 101],
-    [40, 97, 101],
-    [40, 41, 101],
-    [38, 92, 98],
-    [38, 41, 98],
-    [37, 91, 97],
-    [37, 40, 97],
-    [32, 91, 92],
-    [32, 38, 92],
-    [32, 37, 91],
-    [42, 43, 44],
-    [14, 43, 44],
-    [13, 42, 44],
-    [12, 42, 43],
-    [45, 47, 53],
-    [17, 47, 53],
-    [15, 45, 53],
-    [12, 45, 47],
-    [46, 48, 54],
-    [18, 48, 54],
-    [16, 46, 54],
-    [13, 46, 48],
-    [49, 50, 59],
-    [20, 50, 59],
-    [19, 49, 59],
-    [14, 49, 50],
-    [51, 60, 66],
-    [24, 60, 66],
-    [21, 51, 66],
-    [15, 51, 60],
-    [52, 61, 67],
-    [25, 61, 67],
-    [21, 52, 67],
-    [16, 52, 61],
-    [55, 62, 68],
-    [26, 62, 68],
-    [22, 55, 68],
-    [17, 55, 62],
-    [57, 63, 70],
-    [27, 63, 70],
-    [23, 57, 70],
-    [18, 57, 63],
-    [56, 64, 69],
-    [28, 64, 69],
-    [22, 56, 69],
-    [19, 56, 64],
-    [58, 65, 71],
-    [29, 65, 71],
-    [23, 58, 71],
-    [20, 58, 65],
-    [72, 78, 85],
-    [33, 78, 85],
-    [30, 72, 85],
-    [24, 72, 78],
-    [74, 79, 87],
-    [34, 79, 87],
-    [31, 74, 87],
-    [25, 74, 79],
-    [73, 80, 86],
-    [35, 80, 86],
-    [30, 73, 86],
-    [26, 73, 80],
-    [75, 81, 88],
-    [36, 81, 88],
-    [31, 75, 88],
-    [27, 75, 81],
-    [76, 82, 91],
-    [37, 82, 91],
-    [32, 76, 91],
-    [28, 76, 82],
-    [77, 83, 92],
-    [38, 83, 92],
-    [32, 77, 92],
-    [29, 77, 83],
-    [84, 93, 94],
-    [39, 93, 94],
-    [34, 84, 94],
-    [33, 84, 93],
-    [89, 95, 97],
-    [40, 95, 97],
-    [37, 89, 97],
-    [35, 89, 95],
-    [90, 96, 98],
-    [41, 96, 98],
-    [38, 90, 98],
-    [36, 90, 96],
-    [99, 100, 101],
-    [41, 100, 101],
-    [40, 99, 101],
-    [39, 99, 100],
-    [45, 47, 114],
-    [43, 47, 114],
-    [42, 45, 114],
-    [42, 43, 114],
-    [46, 48, 115],
-    [44, 48, 115],
-    [42, 46, 115],
-    [42, 44, 115],
-    [49, 50, 116],
-    [44, 50, 116],
-    [43, 49, 116],
-    [43, 44, 116],
-    [53, 60, 117],
-    [51, 60, 117],
-    [45, 53, 117],
-    [45, 51, 117],
-    [54, 61, 118],
-    [52, 61, 118],
-    [46, 54, 118],
-    [46, 52, 118],
-    [55, 62, 119],
-    [53, 62, 119],
-    [47, 55, 119],
-    [47, 53, 119],
-    [57, 63, 120],
-    [54, 63, 120],
-    [48, 57, 120],
-    [48, 54, 120],
-    [59, 64, 121],
-    [56, 64, 121],
-    [49, 59, 121],
-    [49, 56, 121],
-    [59, 65, 122],
-    [58, 65, 122],
-    [50, 59, 122],
-    [50, 58, 122],
-    [66, 67, 123],
-    [52, 67, 123],
-    [51, 66, 123],
-    [51, 52, 123],
-    [68, 69, 124],
-    [56, 69, 124],
-    [55, 68, 124],
-    [55, 56, 124],
-    [70, 71, 125],
-    [58, 71, 125],
-    [57, 70, 125],
-    [57, 58, 125],
-    [72, 78, 126],
-    [66, 78, 126],
-    [60, 72, 126],
-    [60, 66, 126],
-    [74, 79, 127],
-    [67, 79, 127],
-    [61, 74, 127],
-    [61, 67, 127],
-    [73, 80, 128],
-    [68, 80, 128],
-    [62, 73, 128],
-    [62, 68, 128],
-    [75, 81, 129],
-    [70, 81, 129],
-    [63, 75, 129],
-    [63, 70, 129],
-    [76, 82, 130],
-    [69, 82, 130],
-    [64, 76, 130],
-    [64, 69, 130],
-    [77, 83, 131],
-    [71, 83, 131],
-    [65, 77, 131],
-    [65, 71, 131],
-    [85, 86, 132],
-    [73, 86, 132],
-    [72, 85, 132],
-    [72, 73, 132],
-    [87, 88, 133],
-    [75, 88, 133],
-    [74, 87, 133],
-    [74, 75, 133],
-    [91, 92, 134],
-    [77, 92, 134],
-    [76, 91, 134],
-    [76, 77, 134],
-    [85, 93, 135],
-    [84, 93, 135],
-    [78, 85, 135],
-    [78, 84, 135],
-    [87, 94, 136],
-    [84, 94, 136],
-    [79, 87, 136],
-    [79, 84, 136],
-    [89, 95, 137],
-    [86, 95, 137],
-    [80, 89, 137],
-    [80, 86, 137],
-    [90, 96, 138],
-    [88, 96, 138],
-    [81, 90, 138],
-    [81, 88, 138],
-    [91, 97, 139],
-    [89, 97, 139],
-    [82, 91, 139],
-    [82, 89, 139],
-    [92, 98, 140],
-    [90, 98, 140],
-    [83, 92, 140],
-    [83, 90, 140],
-    [99, 100, 141],
-    [94, 100, 141],
-    [93, 99, 141],
-    [93, 94, 141],
-    [99, 101, 142],
-    [97, 101, 142],
-    [95, 99, 142],
-    [95, 97, 142],
-    [100, 101, 143],
-    [98, 101, 143],
-    [96, 100, 143],
-    [96, 98, 143],
-    [114, 144, 147],
-    [102, 144, 147],
-    [45, 114, 147],
-    [45, 102, 147],
-    [42, 114, 144],
-    [42, 102, 144],
-    [115, 144, 148],
-    [102, 144, 148],
-    [46, 115, 148],
-    [46, 102, 148],
-    [42, 115, 144],
-    [114, 145, 149],
-    [103, 145, 149],
-    [47, 114, 149],
-    [47, 103, 149],
-    [43, 114, 145],
-    [43, 103, 145],
-    [115, 146, 150],
-    [104, 146, 150],
-    [48, 115, 150],
-    [48, 104, 150],
-    [44, 115, 146],
-    [44, 104, 146],
-    [116, 145, 151],
-    [103, 145, 151],
-    [49, 116, 151],
-    [49, 103, 151],
-    [43, 116, 145],
-    [116, 146, 152],
-    [104, 146, 152],
-    [50, 116, 152],
-    [50, 104, 152],
-    [44, 116, 146],
-    [117, 147, 153],
-    [102, 147, 153],
-    [51, 117, 153],
-    [51, 102, 153],
-    [45, 117, 147],
-    [118, 148, 154],
-    [102, 148, 154],
-    [52, 118, 154],
-    [52, 102, 154],
-    [46, 118, 148],
-    [119, 149, 155],
-    [103, 149, 155],
-    [55, 119, 155],
-    [55, 103, 155],
-    [47, 119, 149],
-    [120, 150, 157],
-    [104, 150, 157],
-    [57, 120, 157],
-    [57, 104, 157],
-    [48, 120, 150],
-    [121, 151, 156],
-    [103, 151, 156],
-    [56, 121, 156],
-    [56, 103, 156],
-    [49, 121, 151],
-    [122, 152, 158],
-    [104, 152, 158],
-    [58, 122, 158],
-    [58, 104, 158],
-    [50, 122, 152],
-    [123, 153, 154],
-    [102, 153, 154],
-    [52, 123, 154],
-    [51, 123, 153],
-    [124, 155, 156],
-    [103, 155, 156],
-    [56, 124, 156],
-    [55, 124, 155],
-    [125, 157, 158],
-    [104, 157, 158],
-    [58, 125, 158],
-    [57, 125, 157],
-    [117, 159, 162],
-    [105, 159, 162],
-    [60, 117, 162],
-    [60, 105, 162],
-    [53, 117, 159],
-    [53, 105, 159],
-    [119, 159, 163],
-    [105, 159, 163],
-    [62, 119, 163],
-    [62, 105, 163],
-    [53, 119, 159],
-    [118, 160, 164],
-    [106, 160, 164],
-    [61, 118, 164],
-    [61, 106, 164],
-    [54, 118, 160],
-    [54, 106, 160],
-    [120, 160, 165],
-    [106, 160, 165],
-    [63, 120, 165],
-    [63, 106, 165],
-    [54, 120, 160],
-    [121, 161, 166],
-    [107, 161, 166],
-    [64, 121, 166],
-    [64, 107, 166],
-    [59, 121, 161],
-    [59, 107, 161],
-    [122, 161, 167],
-    [107, 161, 167],
-    [65, 122, 167],
-    [65, 107, 167],
-    [59, 122, 161],
-    [123, 168, 169],
-    [108, 168, 169],
-    [67, 123, 169],
-    [67, 108, 169],
-    [66, 123, 168],
-    [66, 108, 168],
-    [126, 162, 174],
-    [105, 162, 174],
-    [72, 126, 174],
-    [72, 105, 174],
-    [60, 126, 162],
-    [128, 163, 175],
-    [105, 163, 175],
-    [73, 128, 175],
-    [73, 105, 175],
-    [62, 128, 163],
-    [127, 164, 176],
-    [106, 164, 176],
-    [74, 127, 176],
-    [74, 106, 176],
-    [61, 127, 164],
-    [129, 165, 177],
-    [106, 165, 177],
-    [75, 129, 177],
-    [75, 106, 177],
-    [63, 129, 165],
-    [124, 170, 171],
-    [109, 170, 171],
-    [69, 124, 171],
-    [69, 109, 171],
-    [68, 124, 170],
-    [68, 109, 170],
-    [125, 172, 173],
-    [110, 172, 173],
-    [71, 125, 173],
-    [71, 110, 173],
-    [70, 125, 172],
-    [70, 110, 172],
-    [130, 166, 178],
-    [107, 166, 178],
-    [76, 130, 178],
-    [76, 107, 178],
-    [64, 130, 166],
-    [131, 167, 179],
-    [107, 167, 179],
-    [77, 131, 179],
-    [77, 107, 179],
-    [65, 131, 167],
-    [126, 168, 180],
-    [108, 168, 180],
-    [78, 126, 180],
-    [78, 108, 180],
-    [66, 126, 168],
-    [127, 169, 181],
-    [108, 169, 181],
-    [79, 127, 181],
-    [79, 108, 181],
-    [67, 127, 169],
-    [132, 174, 175],
-    [105, 174, 175],
-    [73, 132, 175],
-    [72, 132, 174],
-    [133, 176, 177],
-    [106, 176, 177],
-    [75, 133, 177],
-    [74, 133, 176],
-    [128, 170, 182],
-    [109, 170, 182],
-    [80, 128, 182],
-    [80, 109, 182],
-    [68, 128, 170],
-    [130, 171, 183],
-    [109, 171, 183],
-    [82, 130, 183],
-    [82, 109, 183],
-    [69, 130, 171],
-    [129, 172, 184],
-    [110, 172, 184],
-    [81, 129, 184],
-    [81, 110, 184],
-    [70, 129, 172],
-    [131, 173, 185],
-    [110, 173, 185],
-    [83, 131, 185],
-    [83, 110, 185],
-    [71, 131, 173],
-    [134, 178, 179],
-    [107, 178, 179],
-    [77, 134, 179],
-    [76, 134, 178],
-    [135, 180, 186],
-    [108, 180, 186],
-    [84, 135, 186],
-    [84, 108, 186],
-    [78, 135, 180],
-    [136, 181, 186],
-    [108, 181, 186],
-    [84, 136, 186],
-    [79, 136, 181],
-    [137, 182, 187],
-    [109, 182, 187],
-    [89, 137, 187],
-    [89, 109, 187],
-    [80, 137, 182],
-    [139, 183, 187],
-    [109, 183, 187],
-    [89, 139, 187],
-    [82, 139, 183],
-    [138, 184, 188],
-    [110, 184, 188],
-    [90, 138, 188],
-    [90, 110, 188],
-    [81, 138, 184],
-    [140, 185, 188],
-    [110, 185, 188],
-    [90, 140, 188],
-    [83, 140, 185],
-    [132, 189, 190],
-    [111, 189, 190],
-    [86, 132, 190],
-    [86, 111, 190],
-    [85, 132, 189],
-    [85, 111, 189],
-    [133, 191, 192],
-    [112, 191, 192],
-    [88, 133, 192],
-    [88, 112, 192],
-    [87, 133, 191],
-    [87, 112, 191],
-    [134, 193, 194],
-    [113, 193, 194],
-    [92, 134, 194],
-    [92, 113, 194],
-    [91, 134, 193],
-    [91, 113, 193],
-    [135, 189, 195],
-    [111, 189, 195],
-    [93, 135, 195],
-    [93, 111, 195],
-    [85, 135, 189],
-    [136, 191, 196],
-    [112, 191, 196],
-    [94, 136, 196],
-    [94, 112, 196],
-    [87, 136, 191],
-    [137, 190, 197],
-    [111, 190, 197],
-    [95, 137, 197],
-    [95, 111, 197],
-    [86, 137, 190],
-    [138, 192, 198],
-    [112, 192, 198],
-    [96, 138, 198],
-    [96, 112, 198],
-    [88, 138, 192],
-    [139, 193, 199],
-    [113, 193, 199],
-    [97, 139, 199],
-    [97, 113, 199],
-    [91, 139, 193],
-    [140, 194, 200],
-    [113, 194, 200],
-    [98, 140, 200],
-    [98, 113, 200],
-    [92, 140, 194],
-    [141, 195, 201],
-    [111, 195, 201],
-    [99, 141, 201],
-    [99, 111, 201],
-    [93, 141, 195],
-    [141, 196, 202],
-    [112, 196, 202],
-    [100, 141, 202],
-    [100, 112, 202],
-    [94, 141, 196],
-    [142, 197, 201],
-    [111, 197, 201],
-    [99, 142, 201],
-    [95, 142, 197],
-    [143, 198, 202],
-    [112, 198, 202],
-    [100, 143, 202],
-    [96, 143, 198],
-    [142, 199, 203],
-    [113, 199, 203],
-    [101, 142, 203],
-    [101, 113, 203],
-    [97, 142, 199],
-    [143, 200, 203],
-    [113, 200, 203],
-    [101, 143, 203],
-    [98, 143, 200],
-    [204, 205, 206],
-    [146, 205, 206],
-    [145, 204, 206],
-    [116, 146, 206],
-    [116, 145, 206],
-    [144, 204, 205],
-    [115, 146, 205],
-    [115, 144, 205],
-    [114, 145, 204],
-    [114, 144, 204],
-    [207, 210, 211],
-    [159, 210, 211],
-    [149, 207, 211],
-    [119, 159, 211],
-    [119, 149, 211],
-    [147, 207, 210],
-    [117, 159, 210],
-    [117, 147, 210],
-    [114, 149, 207],
-    [114, 147, 207],
-    [208, 212, 213],
-    [160, 212, 213],
-    [150, 208, 213],
-    [120, 160, 213],
-    [120, 150, 213],
-    [148, 208, 212],
-    [118, 160, 212],
-    [118, 148, 212],
-    [115, 150, 208],
-    [115, 148, 208],
-    [209, 214, 215],
-    [161, 214, 215],
-    [152, 209, 215],
-    [122, 161, 215],
-    [122, 152, 215],
-    [151, 209, 214],
-    [121, 161, 214],
-    [121, 151, 214],
-    [116, 152, 209],
-    [116, 151, 209],
-    [216, 222, 228],
-    [168, 222, 228],
-    [162, 216, 228],
-    [126, 168, 228],
-    [126, 162, 228],
-    [153, 216, 222],
-    [123, 168, 222],
-    [123, 153, 222],
-    [117, 162, 216],
-    [117, 153, 216],
-    [217, 223, 229],
-    [169, 223, 229],
-    [164, 217, 229],
-    [127, 169, 229],
-    [127, 164, 229],
-    [154, 217, 223],
-    [123, 169, 223],
-    [123, 154, 223],
-    [118, 164, 217],
-    [118, 154, 217],
-    [218, 224, 230],
-    [170, 224, 230],
-    [163, 218, 230],
-    [128, 170, 230],
-    [128, 163, 230],
-    [155, 218, 224],
-    [124, 170, 224],
-    [124, 155, 224],
-    [119, 163, 218],
-    [119, 155, 218],
-    [219, 226, 231],
-    [172, 226, 231],
-    [165, 219, 231],
-    [129, 172, 231],
-    [129, 165, 231],
-    [157, 219, 226],
-    [125, 172, 226],
-    [125, 157, 226],
-    [120, 165, 219],
-    [120, 157, 219],
-    [220, 225, 232],
-    [171, 225, 232],
-    [166, 220, 232],
-    [130, 171, 232],
-    [130, 166, 232],
-    [156, 220, 225],
-    [124, 171, 225],
-    [124, 156, 225],
-    [121, 166, 220],
-    [121, 156, 220],
-    [221, 227, 233],
-    [173, 227, 233],
-    [167, 221, 233],
-    [131, 173, 233],
-    [131, 167, 233],
-    [158, 221, 227],
-    [125, 173, 227],
-    [125, 158, 227],
-    [122, 167, 221],
-    [122, 158, 221],
-    [234, 240, 246],
-    [189, 240, 246],
-    [180, 234, 246],
-    [135, 189, 246],
-    [135, 180, 246],
-    [174, 234, 240],
-    [132, 189, 240],
-    [132, 174, 240],
-    [126, 180, 234],
-    [126, 174, 234],
-    [235, 242, 247],
-    [191, 242, 247],
-    [181, 235, 247],
-    [136, 191, 247],
-    [136, 181, 247],
-    [176, 235, 242],
-    [133, 191, 242],
-    [133, 176, 242],
-    [127, 181, 235],
-    [127, 176, 235],
-    [236, 241, 248],
-    [190, 241, 248],
-    [182, 236, 248],
-    [137, 190, 248],
-    [137, 182, 248],
-    [175, 236, 241],
-    [132, 190, 241],
-    [132, 175, 241],
-    [128, 182, 236],
-    [128, 175, 236],
-    [237, 243, 249],
-    [192, 243, 249],
-    [184, 237, 249],
-    [138, 192, 249],
-    [138, 184, 249],
-    [177, 237, 243],
-    [133, 192, 243],
-    [133, 177, 243],
-    [129, 184, 237],
-    [129, 177, 237],
-    [238, 244, 250],
-    [193, 244, 250],
-    [183, 238, 250],
-    [139, 193, 250],
-    [139, 183, 250],
-    [178, 238, 244],
-    [134, 193, 244],
-    [134, 178, 244],
-    [130, 183, 238],
-    [130, 178, 238],
-    [239, 245, 251],
-    [194, 245, 251],
-    [185, 239, 251],
-    [140, 194, 251],
-    [140, 185, 251],
-    [179, 239, 245],
-    [134, 194, 245],
-    [134, 179, 245],
-    [131, 185, 239],
-    [131, 179, 239],
-    [252, 253, 258],
-    [196, 253, 258],
-    [195, 252, 258],
-    [141, 196, 258],
-    [141, 195, 258],
-    [186, 252, 253],
-    [136, 196, 253],
-    [136, 186, 253],
-    [135, 195, 252],
-    [135, 186, 252],
-    [254, 255, 259],
-    [199, 255, 259],
-    [197, 254, 259],
-    [142, 199, 259],
-    [142, 197, 259],
-    [187, 254, 255],
-    [139, 199, 255],
-    [139, 187, 255],
-    [137, 197, 254],
-    [137, 187, 254],
-    [256, 257, 260],
-    [200, 257, 260],
-    [198, 256, 260],
-    [143, 200, 260],
-    [143, 198, 260],
-    [188, 256, 257],
-    [140, 200, 257],
-    [140, 188, 257],
-    [138, 198, 256],
-    [138, 188, 256],
-    [261, 262, 263],
-    [203, 262, 263],
-    [202, 261, 263],
-    [143, 203, 263],
-    [143, 202, 263],
-    [201, 261, 262],
-    [142, 203, 262],
-    [142, 201, 262],
-    [141, 202, 261],
-    [141, 201, 261],
-    [204, 207, 264],
-    [147, 207, 264],
-    [144, 204, 264],
-    [144, 147, 264],
-    [114, 204, 207],
-    [205, 208, 265],
-    [148, 208, 265],
-    [144, 205, 265],
-    [144, 148, 265],
-    [115, 205, 208],
-    [204, 207, 266],
-    [149, 207, 266],
-    [145, 204, 266],
-    [145, 149, 266],
-    [205, 208, 267],
-    [150, 208, 267],
-    [146, 205, 267],
-    [146, 150, 267],
-    [206, 209, 268],
-    [151, 209, 268],
-    [145, 206, 268],
-    [145, 151, 268],
-    [116, 206, 209],
-    [206, 209, 269],
-    [152, 209, 269],
-    [146, 206, 269],
-    [146, 152, 269],
-    [210, 216, 270],
-    [153, 216, 270],
-    [147, 210, 270],
-    [147, 153, 270],
-    [117, 210, 216],
-    [212, 217, 271],
-    [154, 217, 271],
-    [148, 212, 271],
-    [148, 154, 271],
-    [118, 212, 217],
-    [211, 218, 272],
-    [155, 218, 272],
-    [149, 211, 272],
-    [149, 155, 272],
-    [119, 211, 218],
-    [213, 219, 273],
-    [157, 219, 273],
-    [150, 213, 273],
-    [150, 157, 273],
-    [120, 213, 219],
-    [214, 220, 274],
-    [156, 220, 274],
-    [151, 214, 274],
-    [151, 156, 274],
-    [121, 214, 220],
-    [215, 221, 275],
-    [158, 221, 275],
-    [152, 215, 275],
-    [152, 158, 275],
-    [122, 215, 221],
-    [222, 223, 276],
-    [154, 223, 276],
-    [153, 222, 276],
-    [153, 154, 276],
-    [123, 222, 223],
-    [210, 216, 279],
-    [162, 216, 279],
-    [159, 210, 279],
-    [159, 162, 279],
-    [211, 218, 280],
-    [163, 218, 280],
-    [159, 211, 280],
-    [159, 163, 280],
-    [212, 217, 281],
-    [164, 217, 281],
-    [160, 212, 281],
-    [160, 164, 281],
-    [213, 219, 282],
-    [165, 219, 282],
-    [160, 213, 282],
-    [160, 165, 282],
-    [224, 225, 277],
-    [156, 225, 277],
-    [155, 224, 277],
-    [155, 156, 277],
-    [124, 224, 225],
-    [226, 227, 278],
-    [158, 227, 278],
-    [157, 226, 278],
-    [157, 158, 278],
-    [125, 226, 227],
-    [214, 220, 283],
-    [166, 220, 283],
-    [161, 214, 283],
-    [161, 166, 283],
-    [215, 221, 284],
-    [167, 221, 284],
-    [161, 215, 284],
-    [161, 167, 284],
-    [222, 223, 285],
-    [169, 223, 285],
-    [168, 222, 285],
-    [168, 169, 285],
-    [224, 225, 290],
-    [171, 225, 290],
-    [170, 224, 290],
-    [170, 171, 290],
-    [226, 227, 291],
-    [173, 227, 291],
-    [172, 226, 291],
-    [172, 173, 291],
-    [228, 234, 286],
-    [174, 234, 286],
-    [162, 228, 286],
-    [162, 174, 286],
-    [126, 228, 234],
-    [229, 235, 288],
-    [176, 235, 288],
-    [164, 229, 288],
-    [164, 176, 288],
-    [127, 229, 235],
-    [230, 236, 287],
-    [175, 236, 287],
-    [163, 230, 287],
-    [163, 175, 287],
-    [128, 230, 236],
-    [231, 237, 289],
-    [177, 237, 289],
-    [165, 231, 289],
-    [165, 177, 289],
-    [129, 231, 237],
-    [232, 238, 292],
-    [178, 238, 292],
-    [166, 232, 292],
-    [166, 178, 292],
-    [130, 232, 238],
-    [233, 239, 293],
-    [179, 239, 293],
-    [167, 233, 293],
-    [167, 179, 293],
-    [131, 233, 239],
-    [228, 234, 294],
-    [180, 234, 294],
-    [168, 228, 294],
-    [168, 180, 294],
-    [229, 235, 295],
-    [181, 235, 295],
-    [169, 229, 295],
-    [169, 181, 295],
-    [230, 236, 298],
-    [182, 236, 298],
-    [170, 230, 298],
-    [170, 182, 298],
-    [231, 237, 300],
-    [184, 237, 300],
-    [172, 231, 300],
-    [172, 184, 300],
-    [232, 238, 299],
-    [183, 238, 299],
-    [171, 232, 299],
-    [171, 183, 299],
-    [233, 239, 301],
-    [185, 239, 301],
-    [173, 233, 301],
-    [173, 185, 301],
-    [240, 241, 296],
-    [175, 241, 296],
-    [174, 240, 296],
-    [174, 175, 296],
-    [132, 240, 241],
-    [242, 243, 297],
-    [177, 243, 297],
-    [176, 242, 297],
-    [176, 177, 297],
-    [133, 242, 243],
-    [244, 245, 302],
-    [179, 245, 302],
-    [178, 244, 302],
-    [178, 179, 302],
-    [134, 244, 245],
-    [246, 252, 303],
-    [186, 252, 303],
-    [180, 246, 303],
-    [180, 186, 303],
-    [135, 246, 252],
-    [247, 253, 304],
-    [186, 253, 304],
-    [181, 247, 304],
-    [181, 186, 304],
-    [136, 247, 253],
-    [240, 241, 309],
-    [190, 241, 309],
-    [189, 240, 309],
-    [189, 190, 309],
-    [242, 243, 310],
-    [192, 243, 310],
-    [191, 242, 310],
-    [191, 192, 310],
-    [248, 254, 305],
-    [187, 254, 305],
-    [182, 248, 305],
-    [182, 187, 305],
-    [137, 248, 254],
-    [250, 255, 306],
-    [187, 255, 306],
-    [183, 250, 306],
-    [183, 187, 306],
-    [139, 250, 255],
-    [249, 256, 307],
-    [188, 256, 307],
-    [184, 249, 307],
-    [184, 188, 307],
-    [138, 249, 256],
-    [251, 257, 308],
-    [188, 257, 308],
-    [185, 251, 308],
-    [185, 188, 308],
-    [140, 251, 257],
-    [244, 245, 311],
-    [194, 245, 311],
-    [193, 244, 311],
-    [193, 194, 311],
-    [246, 252, 312],
-    [195, 252, 312],
-    [189, 246, 312],
-    [189, 195, 312],
-    [247, 253, 313],
-    [196, 253, 313],
-    [191, 247, 313],
-    [191, 196, 313],
-    [248, 254, 314],
-    [197, 254, 314],
-    [190, 248, 314],
-    [190, 197, 314],
-    [249, 256, 315],
-    [198, 256, 315],
-    [192, 249, 315],
-    [192, 198, 315],
-    [250, 255, 316],
-    [199, 255, 316],
-    [193, 250, 316],
-    [193, 199, 316],
-    [251, 257, 317],
-    [200, 257, 317],
-    [194, 251, 317],
-    [194, 200, 317],
-    [258, 261, 318],
-    [201, 261, 318],
-    [195, 258, 318],
-    [195, 201, 318],
-    [141, 258, 261],
-    [258, 261, 319],
-    [202, 261, 319],
-    [196, 258, 319],
-    [196, 202, 319],
-    [259, 262, 320],
-    [201, 262, 320],
-    [197, 259, 320],
-    [197, 201, 320],
-    [142, 259, 262],
-    [260, 263, 321],
-    [202, 263, 321],
-    [198, 260, 321],
-    [198, 202, 321],
-    [143, 260, 263],
-    [259, 262, 322],
-    [203, 262, 322],
-    [199, 259, 322],
-    [199, 203, 322],
-    [260, 263, 323],
-    [203, 263, 323],
-    [200, 260, 323],
-    [200, 203, 323],
-    [271, 276, 327],
-    [270, 276, 327],
-    [265, 271, 327],
-    [264, 270, 327],
-    [264, 265, 327],
-    [154, 271, 276],
-    [153, 270, 276],
-    [148, 265, 271],
-    [147, 264, 270],
-    [144, 264, 265],
-    [274, 277, 332],
-    [272, 277, 332],
-    [268, 274, 332],
-    [266, 272, 332],
-    [266, 268, 332],
-    [156, 274, 277],
-    [155, 272, 277],
-    [151, 268, 274],
-    [149, 266, 272],
-    [145, 266, 268],
-    [275, 278, 333],
-    [273, 278, 333],
-    [269, 275, 333],
-    [267, 273, 333],
-    [267, 269, 333],
-    [158, 275, 278],
-    [157, 273, 278],
-    [152, 269, 275],
-    [150, 267, 273],
-    [146, 267, 269],
-    [287, 296, 353],
-    [286, 296, 353],
-    [280, 287, 353],
-    [279, 286, 353],
-    [279, 280, 353],
-    [175, 287, 296],
-    [174, 286, 296],
-    [163, 280, 287],
-    [162, 279, 286],
-    [159, 279, 280],
-    [289, 297, 354],
-    [288, 297, 354],
-    [282, 289, 354],
-    [281, 288, 354],
-    [281, 282, 354],
-    [177, 289, 297],
-    [176, 288, 297],
-    [165, 282, 289],
-    [164, 281, 288],
-    [160, 281, 282],
-    [293, 302, 359],
-    [292, 302, 359],
-    [284, 293, 359],
-    [283, 292, 359],
-    [283, 284, 359],
-    [179, 293, 302],
-    [178, 292, 302],
-    [167, 284, 293],
-    [166, 283, 292],
-    [161, 283, 284],
-    [303, 304, 360],
-    [295, 304, 360],
-    [294, 303, 360],
-    [285, 295, 360],
-    [285, 294, 360],
-    [186, 303, 304],
-    [181, 295, 304],
-    [180, 294, 303],
-    [169, 285, 295],
-    [168, 285, 294],
-    [305, 306, 365],
-    [299, 306, 365],
-    [298, 305, 365],
-    [290, 299, 365],
-    [290, 298, 365],
-    [187, 305, 306],
-    [183, 299, 306],
-    [182, 298, 305],
-    [171, 290, 299],
-    [170, 290, 298],
-    [307, 308, 366],
-    [301, 308, 366],
-    [300, 307, 366],
-    [291, 301, 366],
-    [291, 300, 366],
-    [188, 307, 308],
-    [185, 301, 308],
-    [184, 300, 307],
-    [173, 291, 301],
-    [172, 291, 300],
-    [318, 320, 386],
-    [314, 320, 386],
-    [312, 318, 386],
-    [309, 314, 386],
-    [309, 312, 386],
-    [201, 318, 320],
-    [197, 314, 320],
-    [195, 312, 318],
-    [190, 309, 314],
-    [189, 309, 312],
-    [319, 321, 387],
-    [315, 321, 387],
-    [313, 319, 387],
-    [310, 315, 387],
-    [310, 313, 387],
-    [202, 319, 321],
-    [198, 315, 321],
-    [196, 313, 319],
-    [192, 310, 315],
-    [191, 310, 313],
-    [322, 323, 392],
-    [317, 323, 392],
-    [316, 322, 392],
-    [311, 317, 392],
-    [311, 316, 392],
-    [203, 322, 323],
-    [200, 317, 323],
-    [199, 316, 322],
-    [194, 311, 317],
-    [193, 311, 316],
-    [264, 265, 324],
-    [205, 265, 324],
-    [204, 264, 324],
-    [204, 205, 324],
-    [266, 268, 325],
-    [206, 268, 325],
-    [204, 266, 325],
-    [204, 206, 325],
-    [267, 269, 326],
-    [206, 269, 326],
-    [205, 267, 326],
-    [205, 206, 326],
-    [264, 270, 328],
-    [210, 270, 328],
-    [207, 264, 328],
-    [207, 210, 328],
-    [265, 271, 330],
-    [212, 271, 330],
-    [208, 265, 330],
-    [208, 212, 330],
-    [266, 272, 329],
-    [211, 272, 329],
-    [207, 266, 329],
-    [207, 211, 329],
-    [267, 273, 331],
-    [213, 273, 331],
-    [208, 267, 331],
-    [208, 213, 331],
-    [268, 274, 334],
-    [214, 274, 334],
-    [209, 268, 334],
-    [209, 214, 334],
-    [269, 275, 335],
-    [215, 275, 335],
-    [209, 269, 335],
-    [209, 215, 335],
-    [270, 276, 339],
-    [222, 276, 339],
-    [216, 270, 339],
-    [216, 222, 339],
-    [271, 276, 340],
-    [223, 276, 340],
-    [217, 271, 340],
-    [217, 223, 340],
-    [279, 280, 336],
-    [211, 280, 336],
-    [210, 279, 336],
-    [210, 211, 336],
-    [281, 282, 337],
-    [213, 282, 337],
-    [212, 281, 337],
-    [212, 213, 337],
-    [272, 277, 341],
-    [224, 277, 341],
-    [218, 272, 341],
-    [218, 224, 341],
-    [274, 277, 342],
-    [225, 277, 342],
-    [220, 274, 342],
-    [220, 225, 342],
-    [273, 278, 343],
-    [226, 278, 343],
-    [219, 273, 343],
-    [219, 226, 343],
-    [275, 278, 344],
-    [227, 278, 344],
-    [221, 275, 344],
-    [221, 227, 344],
-    [283, 284, 338],
-    [215, 284, 338],
-    [214, 283, 338],
-    [214, 215, 338],
-    [279, 286, 345],
-    [228, 286, 345],
-    [216, 279, 345],
-    [216, 228, 345],
-    [281, 288, 346],
-    [229, 288, 346],
-    [217, 281, 346],
-    [217, 229, 346],
-    [280, 287, 347],
-    [230, 287, 347],
-    [218, 280, 347],
-    [218, 230, 347],
-    [282, 289, 348],
-    [231, 289, 348],
-    [219, 282, 348],
-    [219, 231, 348],
-    [283, 292, 349],
-    [232, 292, 349],
-    [220, 283, 349],
-    [220, 232, 349],
-    [284, 293, 350],
-    [233, 293, 350],
-    [221, 284, 350],
-    [221, 233, 350],
-    [285, 294, 351],
-    [228, 294, 351],
-    [222, 285, 351],
-    [222, 228, 351],
-    [285, 295, 352],
-    [229, 295, 352],
-    [223, 285, 352],
-    [223, 229, 352],
-    [290, 298, 355],
-    [230, 298, 355],
-    [224, 290, 355],
-    [224, 230, 355],
-    [290, 299, 356],
-    [232, 299, 356],
-    [225, 290, 356],
-    [225, 232, 356],
-    [291, 300, 357],
-    [231, 300, 357],
-    [226, 291, 357],
-    [226, 231, 357],
-    [291, 301, 358],
-    [233, 301, 358],
-    [227, 291, 358],
-    [227, 233, 358],
-    [286, 296, 361],
-    [240, 296, 361],
-    [234, 286, 361],
-    [234, 240, 361],
-    [287, 296, 362],
-    [241, 296, 362],
-    [236, 287, 362],
-    [236, 241, 362],
-    [288, 297, 363],
-    [242, 297, 363],
-    [235, 288, 363],
-    [235, 242, 363],
-    [289, 297, 364],
-    [243, 297, 364],
-    [237, 289, 364],
-    [237, 243, 364],
-    [292, 302, 367],
-    [244, 302, 367],
-    [238, 292, 367],
-    [238, 244, 367],
-    [293, 302, 368],
-    [245, 302, 368],
-    [239, 293, 368],
-    [239, 245, 368],
-    [294, 303, 369],
-    [246, 303, 369],
-    [234, 294, 369],
-    [234, 246, 369],
-    [295, 304, 370],
-    [247, 304, 370],
-    [235, 295, 370],
-    [235, 247, 370],
-    [298, 305, 371],
-    [248, 305, 371],
-    [236, 298, 371],
-    [236, 248, 371],
-    [300, 307, 372],
-    [249, 307, 372],
-    [237, 300, 372],
-    [237, 249, 372],
-    [299, 306, 373],
-    [250, 306, 373],
-    [238, 299, 373],
-    [238, 250, 373],
-    [301, 308, 374],
-    [251, 308, 374],
-    [239, 301, 374],
-    [239, 251, 374],
-    [303, 304, 381],
-    [253, 304, 381],
-    [252, 303, 381],
-    [252, 253, 381],
-    [309, 312, 375],
-    [246, 312, 375],
-    [240, 309, 375],
-    [240, 246, 375],
-    [309, 314, 376],
-    [248, 314, 376],
-    [241, 309, 376],
-    [241, 248, 376],
-    [310, 313, 377],
-    [247, 313, 377],
-    [242, 310, 377],
-    [242, 247, 377],
-    [310, 315, 378],
-    [249, 315, 378],
-    [243, 310, 378],
-    [243, 249, 378],
-    [305, 306, 382],
-    [255, 306, 382],
-    [254, 305, 382],
-    [254, 255, 382],
-    [307, 308, 383],
-    [257, 308, 383],
-    [256, 307, 383],
-    [256, 257, 383],
-    [311, 316, 379],
-    [250, 316, 379],
-    [244, 311, 379],
-    [244, 250, 379],
-    [311, 317, 380],
-    [251, 317, 380],
-    [245, 311, 380],
-    [245, 251, 380],
-    [312, 318, 384],
-    [258, 318, 384],
-    [252, 312, 384],
-    [252, 258, 384],
-    [313, 319, 385],
-    [258, 319, 385],
-    [253, 313, 385],
-    [253, 258, 385],
-    [314, 320, 388],
-    [259, 320, 388],
-    [254, 314, 388],
-    [254, 259, 388],
-    [315, 321, 390],
-    [260, 321, 390],
-    [256, 315, 390],
-    [256, 260, 390],
-    [316, 322, 389],
-    [259, 322, 389],
-    [255, 316, 389],
-    [255, 259, 389],
-    [317, 323, 391],
-    [260, 323, 391],
-    [257, 317, 391],
-    [257, 260, 391],
-    [318, 320, 393],
-    [262, 320, 393],
-    [261, 318, 393],
-    [261, 262, 393],
-    [319, 321, 394],
-    [263, 321, 394],
-    [261, 319, 394],
-    [261, 263, 394],
-    [322, 323, 395],
-    [263, 323, 395],
-    [262, 322, 395],
-    [262, 263, 395],
-    [324, 325, 326],
-    [206, 325, 326],
-    [205, 324, 326],
-    [204, 324, 325],
-    [328, 329, 336],
-    [211, 329, 336],
-    [210, 328, 336],
-    [207, 328, 329],
-    [330, 331, 337],
-    [213, 331, 337],
-    [212, 330, 337],
-    [208, 330, 331],
-    [334, 335, 338],
-    [215, 335, 338],
-    [214, 334, 338],
-    [209, 334, 335],
-    [339, 345, 351],
-    [228, 345, 351],
-    [222, 339, 351],
-    [216, 339, 345],
-    [340, 346, 352],
-    [229, 346, 352],
-    [223, 340, 352],
-    [217, 340, 346],
-    [341, 347, 355],
-    [230, 347, 355],
-    [224, 341, 355],
-    [218, 341, 347],
-    [343, 348, 357],
-    [231, 348, 357],
-    [226, 343, 357],
-    [219, 343, 348],
-    [342, 349, 356],
-    [232, 349, 356],
-    [225, 342, 356],
-    [220, 342, 349],
-    [344, 350, 358],
-    [233, 350, 358],
-    [227, 344, 358],
-    [221, 344, 350],
-    [361, 369, 375],
-    [246, 369, 375],
-    [240, 361, 375],
-    [234, 361, 369],
-    [363, 370, 377],
-    [247, 370, 377],
-    [242, 363, 377],
-    [235, 363, 370],
-    [362, 371, 376],
-    [248, 371, 376],
-    [241, 362, 376],
-    [236, 362, 371],
-    [364, 372, 378],
-    [249, 372, 378],
-    [243, 364, 378],
-    [237, 364, 372],
-    [367, 373, 379],
-    [250, 373, 379],
-    [244, 367, 379],
-    [238, 367, 373],
-    [368, 374, 380],
-    [251, 374, 380],
-    [245, 368, 380],
-    [239, 368, 374],
-    [381, 384, 385],
-    [258, 384, 385],
-    [253, 381, 385],
-    [252, 381, 384],
-    [382, 388, 389],
-    [259, 388, 389],
-    [255, 382, 389],
-    [254, 382, 388],
-    [383, 390, 391],
-    [260, 390, 391],
-    [257, 383, 391],
-    [256, 383, 390],
-    [393, 394, 395],
-    [263, 394, 395],
-    [262, 393, 395],
-    [261, 393, 394],
-    [398, 456, 459],
-    [396, 456, 459],
-    [329, 398, 459],
-    [328, 396, 459],
-    [328, 329, 459],
-    [325, 398, 456],
-    [324, 396, 456],
-    [324, 325, 456],
-    [266, 329, 398],
-    [266, 325, 398],
-    [264, 328, 396],
-    [264, 324, 396],
-    [399, 457, 460],
-    [397, 457, 460],
-    [331, 399, 460],
-    [330, 397, 460],
-    [330, 331, 460],
-    [326, 399, 457],
-    [324, 397, 457],
-    [324, 326, 457],
-    [267, 331, 399],
-    [267, 326, 399],
-    [265, 330, 397],
-    [265, 324, 397],
-    [401, 458, 461],
-    [400, 458, 461],
-    [335, 401, 461],
-    [334, 400, 461],
-    [334, 335, 461],
-    [326, 401, 458],
-    [325, 400, 458],
-    [325, 326, 458],
-    [269, 335, 401],
-    [269, 326, 401],
-    [268, 334, 400],
-    [268, 325, 400],
-    [327, 396, 397],
-    [324, 396, 397],
-    [265, 327, 397],
-    [264, 327, 396],
-    [332, 398, 400],
-    [325, 398, 400],
-    [268, 332, 400],
-    [266, 332, 398],
-    [333, 399, 401],
-    [326, 399, 401],
-    [269, 333, 401],
-    [267, 333, 399],
-    [328, 396, 402],
-    [327, 396, 402],
-    [270, 328, 402],
-    [270, 327, 402],
-    [330, 397, 403],
-    [327, 397, 403],
-    [271, 330, 403],
-    [271, 327, 403],
-    [332, 398, 404],
-    [329, 398, 404],
-    [272, 332, 404],
-    [272, 329, 404],
-    [333, 399, 405],
-    [331, 399, 405],
-    [273, 333, 405],
-    [273, 331, 405],
-    [334, 400, 406],
-    [332, 400, 406],
-    [274, 334, 406],
-    [274, 332, 406],
-    [335, 401, 407],
-    [333, 401, 407],
-    [275, 335, 407],
-    [275, 333, 407],
-    [339, 402, 408],
-    [327, 402, 408],
-    [276, 339, 408],
-    [276, 327, 408],
-    [270, 339, 402],
-    [340, 403, 408],
-    [327, 403, 408],
-    [276, 340, 408],
-    [271, 340, 403],
-    [341, 404, 409],
-    [332, 404, 409],
-    [277, 341, 409],
-    [277, 332, 409],
-    [272, 341, 404],
-    [342, 406, 409],
-    [332, 406, 409],
-    [277, 342, 409],
-    [274, 342, 406],
-    [343, 405, 410],
-    [333, 405, 410],
-    [278, 343, 410],
-    [278, 333, 410],
-    [273, 343, 405],
-    [344, 407, 410],
-    [333, 407, 410],
-    [278, 344, 410],
-    [275, 344, 407],
-    [411, 462, 468],
-    [402, 462, 468],
-    [345, 411, 468],
-    [339, 402, 468],
-    [339, 345, 468],
-    [336, 411, 462],
-    [328, 402, 462],
-    [328, 336, 462],
-    [279, 345, 411],
-    [279, 336, 411],
-    [413, 464, 469],
-    [403, 464, 469],
-    [346, 413, 469],
-    [340, 403, 469],
-    [340, 346, 469],
-    [337, 413, 464],
-    [330, 403, 464],
-    [330, 337, 464],
-    [281, 346, 413],
-    [281, 337, 413],
-    [412, 463, 470],
-    [404, 463, 470],
-    [347, 412, 470],
-    [341, 404, 470],
-    [341, 347, 470],
-    [336, 412, 463],
-    [329, 404, 463],
-    [329, 336, 463],
-    [280, 347, 412],
-    [280, 336, 412],
-    [414, 465, 471],
-    [405, 465, 471],
-    [348, 414, 471],
-    [343, 405, 471],
-    [343, 348, 471],
-    [337, 414, 465],
-    [331, 405, 465],
-    [331, 337, 465],
-    [282, 348, 414],
-    [282, 337, 414],
-    [415, 466, 472],
-    [406, 466, 472],
-    [349, 415, 472],
-    [342, 406, 472],
-    [342, 349, 472],
-    [338, 415, 466],
-    [334, 406, 466],
-    [334, 338, 466],
-    [283, 349, 415],
-    [283, 338, 415],
-    [416, 467, 473],
-    [407, 467, 473],
-    [350, 416, 473],
-    [344, 407, 473],
-    [344, 350, 473],
-    [338, 416, 467],
-    [335, 407, 467],
-    [335, 338, 467],
-    [284, 350, 416],
-    [284, 338, 416],
-    [353, 411, 412],
-    [336, 411, 412],
-    [280, 353, 412],
-    [279, 353, 411],
-    [354, 413, 414],
-    [337, 413, 414],
-    [282, 354, 414],
-    [281, 354, 413],
-    [359, 415, 416],
-    [338, 415, 416],
-    [284, 359, 416],
-    [283, 359, 415],
-    [417, 474, 475],
-    [408, 474, 475],
-    [352, 417, 475],
-    [340, 408, 475],
-    [340, 352, 475],
-    [351, 417, 474],
-    [339, 408, 474],
-    [339, 351, 474],
-    [285, 352, 417],
-    [285, 351, 417],
-    [422, 476, 477],
-    [409, 476, 477],
-    [356, 422, 477],
-    [342, 409, 477],
-    [342, 356, 477],
-    [355, 422, 476],
-    [341, 409, 476],
-    [341, 355, 476],
-    [290, 356, 422],
-    [290, 355, 422],
-    [423, 478, 479],
-    [410, 478, 479],
-    [358, 423, 479],
-    [344, 410, 479],
-    [344, 358, 479],
-    [357, 423, 478],
-    [343, 410, 478],
-    [343, 357, 478],
-    [291, 358, 423],
-    [291, 357, 423],
-    [353, 411, 418],
-    [345, 411, 418],
-    [286, 353, 418],
-    [286, 345, 418],
-    [353, 412, 419],
-    [347, 412, 419],
-    [287, 353, 419],
-    [287, 347, 419],
-    [354, 413, 420],
-    [346, 413, 420],
-    [288, 354, 420],
-    [288, 346, 420],
-    [354, 414, 421],
-    [348, 414, 421],
-    [289, 354, 421],
-    [289, 348, 421],
-    [359, 415, 424],
-    [349, 415, 424],
-    [292, 359, 424],
-    [292, 349, 424],
-    [359, 416, 425],
-    [350, 416, 425],
-    [293, 359, 425],
-    [293, 350, 425],
-    [426, 480, 486],
-    [418, 480, 486],
-    [369, 426, 486],
-    [361, 418, 486],
-    [361, 369, 486],
-    [351, 426, 480],
-    [345, 418, 480],
-    [345, 351, 480],
-    [294, 369, 426],
-    [294, 351, 426],
-    [286, 361, 418],
-    [360, 417, 426],
-    [351, 417, 426],
-    [294, 360, 426],
-    [285, 360, 417],
-    [360, 417, 427],
-    [352, 417, 427],
-    [295, 360, 427],
-    [295, 352, 427],
-    [361, 418, 428],
-    [353, 418, 428],
-    [296, 361, 428],
-    [296, 353, 428],
-    [362, 419, 428],
-    [353, 419, 428],
-    [296, 362, 428],
-    [287, 362, 419],
-    [427, 481, 487],
-    [420, 481, 487],
-    [370, 427, 487],
-    [363, 420, 487],
-    [363, 370, 487],
-    [352, 427, 481],
-    [346, 420, 481],
-    [346, 352, 481],
-    [295, 370, 427],
-    [288, 363, 420],
-    [430, 482, 488],
-    [419, 482, 488],
-    [371, 430, 488],
-    [362, 419, 488],
-    [362, 371, 488],
-    [355, 430, 482],
-    [347, 419, 482],
-    [347, 355, 482],
-    [298, 371, 430],
-    [298, 355, 430],
-    [363, 420, 429],
-    [354, 420, 429],
-    [297, 363, 429],
-    [297, 354, 429],
-    [364, 421, 429],
-    [354, 421, 429],
-    [297, 364, 429],
-    [289, 364, 421],
-    [365, 422, 430],
-    [355, 422, 430],
-    [298, 365, 430],
-    [290, 365, 422],
-    [365, 422, 431],
-    [356, 422, 431],
-    [299, 365, 431],
-    [299, 356, 431],
-    [432, 483, 489],
-    [421, 483, 489],
-    [372, 432, 489],
-    [364, 421, 489],
-    [364, 372, 489],
-    [357, 432, 483],
-    [348, 421, 483],
-    [348, 357, 483],
-    [300, 372, 432],
-    [300, 357, 432],
-    [431, 484, 490],
-    [424, 484, 490],
-    [373, 431, 490],
-    [367, 424, 490],
-    [367, 373, 490],
-    [356, 431, 484],
-    [349, 424, 484],
-    [349, 356, 484],
-    [299, 373, 431],
-    [292, 367, 424],
-    [366, 423, 432],
-    [357, 423, 432],
-    [300, 366, 432],
-    [291, 366, 423],
-    [366, 423, 433],
-    [358, 423, 433],
-    [301, 366, 433],
-    [301, 358, 433],
-    [367, 424, 434],
-    [359, 424, 434],
-    [302, 367, 434],
-    [302, 359, 434],
-    [368, 425, 434],
-    [359, 425, 434],
-    [302, 368, 434],
-    [293, 368, 425],
-    [433, 485, 491],
-    [425, 485, 491],
-    [374, 433, 491],
-    [368, 425, 491],
-    [368, 374, 491],
-    [358, 433, 485],
-    [350, 425, 485],
-    [350, 358, 485],
-    [301, 374, 433],
-    [369, 426, 435],
-    [360, 426, 435],
-    [303, 369, 435],
-    [303, 360, 435],
-    [370, 427, 436],
-    [360, 427, 436],
-    [304, 370, 436],
-    [304, 360, 436],
-    [371, 430, 437],
-    [365, 430, 437],
-    [305, 371, 437],
-    [305, 365, 437],
-    [373, 431, 438],
-    [365, 431, 438],
-    [306, 373, 438],
-    [306, 365, 438],
-    [372, 432, 439],
-    [366, 432, 439],
-    [307, 372, 439],
-    [307, 366, 439],
-    [374, 433, 440],
-    [366, 433, 440],
-    [308, 374, 440],
-    [308, 366, 440],
-    [441, 492, 493],
-    [428, 492, 493],
-    [376, 441, 493],
-    [362, 428, 493],
-    [362, 376, 493],
-    [375, 441, 492],
-    [361, 428, 492],
-    [361, 375, 492],
-    [309, 376, 441],
-    [309, 375, 441],
-    [442, 494, 495],
-    [429, 494, 495],
-    [378, 442, 495],
-    [364, 429, 495],
-    [364, 378, 495],
-    [377, 442, 494],
-    [363, 429, 494],
-    [363, 377, 494],
-    [310, 378, 442],
-    [310, 377, 442],
-    [443, 496, 497],
-    [434, 496, 497],
-    [380, 443, 497],
-    [368, 434, 497],
-    [368, 380, 497],
-    [379, 443, 496],
-    [367, 434, 496],
-    [367, 379, 496],
-    [311, 380, 443],
-    [311, 379, 443],
-    [381, 435, 436],
-    [360, 435, 436],
-    [304, 381, 436],
-    [303, 381, 435],
-    [382, 437, 438],
-    [365, 437, 438],
-    [306, 382, 438],
-    [305, 382, 437],
-    [383, 439, 440],
-    [366, 439, 440],
-    [308, 383, 440],
-    [307, 383, 439],
-    [444, 498, 504],
-    [435, 498, 504],
-    [384, 444, 504],
-    [381, 435, 504],
-    [381, 384, 504],
-    [375, 444, 498],
-    [369, 435, 498],
-    [369, 375, 498],
-    [312, 384, 444],
-    [312, 375, 444],
-    [445, 499, 505],
-    [436, 499, 505],
-    [385, 445, 505],
-    [381, 436, 505],
-    [381, 385, 505],
-    [377, 445, 499],
-    [370, 436, 499],
-    [370, 377, 499],
-    [313, 385, 445],
-    [313, 377, 445],
-    [446, 500, 506],
-    [437, 500, 506],
-    [388, 446, 506],
-    [382, 437, 506],
-    [382, 388, 506],
-    [376, 446, 500],
-    [371, 437, 500],
-    [371, 376, 500],
-    [314, 388, 446],
-    [314, 376, 446],
-    [447, 501, 508],
-    [439, 501, 508],
-    [390, 447, 508],
-    [383, 439, 508],
-    [383, 390, 508],
-    [378, 447, 501],
-    [372, 439, 501],
-    [372, 378, 501],
-    [315, 390, 447],
-    [315, 378, 447],
-    [448, 502, 507],
-    [438, 502, 507],
-    [389, 448, 507],
-    [382, 438, 507],
-    [382, 389, 507],
-    [379, 448, 502],
-    [373, 438, 502],
-    [373, 379, 502],
-    [316, 389, 448],
-    [316, 379, 448],
-    [449, 503, 509],
-    [440, 503, 509],
-    [391, 449, 509],
-    [383, 440, 509],
-    [383, 391, 509],
-    [380, 449, 503],
-    [374, 440, 503],
-    [374, 380, 503],
-    [317, 391, 449],
-    [317, 380, 449],
-    [386, 441, 444],
-    [375, 441, 444],
-    [312, 386, 444],
-    [309, 386, 441],
-    [386, 441, 446],
-    [376, 441, 446],
-    [314, 386, 446],
-    [387, 442, 445],
-    [377, 442, 445],
-    [313, 387, 445],
-    [310, 387, 442],
-    [387, 442, 447],
-    [378, 442, 447],
-    [315, 387, 447],
-    [392, 443, 448],
-    [379, 443, 448],
-    [316, 392, 448],
-    [311, 392, 443],
-    [392, 443, 449],
-    [380, 443, 449],
-    [317, 392, 449],
-    [386, 444, 450],
-    [384, 444, 450],
-    [318, 386, 450],
-    [318, 384, 450],
-    [387, 445, 451],
-    [385, 445, 451],
-    [319, 387, 451],
-    [319, 385, 451],
-    [388, 446, 452],
-    [386, 446, 452],
-    [320, 388, 452],
-    [320, 386, 452],
-    [390, 447, 453],
-    [387, 447, 453],
-    [321, 390, 453],
-    [321, 387, 453],
-    [392, 448, 454],
-    [389, 448, 454],
-    [322, 392, 454],
-    [322, 389, 454],
-    [392, 449, 455],
-    [391, 449, 455],
-    [323, 392, 455],
-    [323, 391, 455],
-    [393, 450, 452],
-    [386, 450, 452],
-    [320, 393, 452],
-    [318, 393, 450],
-    [394, 451, 453],
-    [387, 451, 453],
-    [321, 394, 453],
-    [319, 394, 451],
-    [395, 454, 455],
-    [392, 454, 455],
-    [323, 395, 455],
-    [322, 395, 454],
-    [451, 510, 513],
-    [450, 510, 513],
-    [394, 451, 513],
-    [393, 450, 513],
-    [393, 394, 513],
-    [385, 451, 510],
-    [384, 450, 510],
-    [384, 385, 510],
-    [454, 511, 514],
-    [452, 511, 514],
-    [395, 454, 514],
-    [393, 452, 514],
-    [393, 395, 514],
-    [389, 454, 511],
-    [388, 452, 511],
-    [388, 389, 511],
-    [455, 512, 515],
-    [453, 512, 515],
-    [395, 455, 515],
-    [394, 453, 515],
-    [394, 395, 515],
-    [391, 455, 512],
-    [390, 453, 512],
-    [390, 391, 512],
-    [456, 457, 458],
-    [326, 457, 458],
-    [325, 456, 458],
-    [324, 456, 457],
-    [459, 462, 463],
-    [336, 462, 463],
-    [329, 459, 463],
-    [328, 459, 462],
-    [460, 464, 465],
-    [337, 464, 465],
-    [331, 460, 465],
-    [330, 460, 464],
-    [461, 466, 467],
-    [338, 466, 467],
-    [335, 461, 467],
-    [334, 461, 466],
-    [468, 474, 480],
-    [351, 474, 480],
-    [345, 468, 480],
-    [339, 468, 474],
-    [469, 475, 481],
-    [352, 475, 481],
-    [346, 469, 481],
-    [340, 469, 475],
-    [470, 476, 482],
-    [355, 476, 482],
-    [347, 470, 482],
-    [341, 470, 476],
-    [471, 478, 483],
-    [357, 478, 483],
-    [348, 471, 483],
-    [343, 471, 478],
-    [472, 477, 484],
-    [356, 477, 484],
-    [349, 472, 484],
-    [342, 472, 477],
-    [473, 479, 485],
-    [358, 479, 485],
-    [350, 473, 485],
-    [344, 473, 479],
-    [486, 492, 498],
-    [375, 492, 498],
-    [369, 486, 498],
-    [361, 486, 492],
-    [487, 494, 499],
-    [377, 494, 499],
-    [370, 487, 499],
-    [363, 487, 494],
-    [488, 493, 500],
-    [376, 493, 500],
-    [371, 488, 500],
-    [362, 488, 493],
-    [489, 495, 501],
-    [378, 495, 501],
-    [372, 489, 501],
-    [364, 489, 495],
-    [490, 496, 502],
-    [379, 496, 502],
-    [373, 490, 502],
-    [367, 490, 496],
-    [491, 497, 503],
-    [380, 497, 503],
-    [374, 491, 503],
-    [368, 491, 497],
-    [504, 505, 510],
-    [385, 505, 510],
-    [384, 504, 510],
-    [381, 504, 505],
-    [506, 507, 511],
-    [389, 507, 511],
-    [388, 506, 511],
-    [382, 506, 507],
-    [508, 509, 512],
-    [391, 509, 512],
-    [390, 508, 512],
-    [383, 508, 509],
-    [513, 514, 515],
-    [395, 514, 515],
-    [394, 513, 515],
-    [393, 513, 514],
-    [456, 457, 516],
-    [397, 457, 516],
-    [396, 456, 516],
-    [396, 397, 516],
-    [456, 458, 517],
-    [400, 458, 517],
-    [398, 456, 517],
-    [398, 400, 517],
-    [457, 458, 518],
-    [401, 458, 518],
-    [399, 457, 518],
-    [399, 401, 518],
-    [459, 462, 519],
-    [402, 462, 519],
-    [396, 459, 519],
-    [396, 402, 519],
-    [460, 464, 520],
-    [403, 464, 520],
-    [397, 460, 520],
-    [397, 403, 520],
-    [459, 463, 521],
-    [404, 463, 521],
-    [398, 459, 521],
-    [398, 404, 521],
-    [460, 465, 522],
-    [405, 465, 522],
-    [399, 460, 522],
-    [399, 405, 522],
-    [461, 466, 523],
-    [406, 466, 523],
-    [400, 461, 523],
-    [400, 406, 523],
-    [461, 467, 524],
-    [407, 467, 524],
-    [401, 461, 524],
-    [401, 407, 524],
-    [468, 474, 525],
-    [408, 474, 525],
-    [402, 468, 525],
-    [402, 408, 525],
-    [469, 475, 526],
-    [408, 475, 526],
-    [403, 469, 526],
-    [403, 408, 526],
-    [462, 463, 531],
-    [412, 463, 531],
-    [411, 462, 531],
-    [411, 412, 531],
-    [464, 465, 532],
-    [414, 465, 532],
-    [413, 464, 532],
-    [413, 414, 532],
-    [470, 476, 527],
-    [409, 476, 527],
-    [404, 470, 527],
-    [404, 409, 527],
-    [472, 477, 528],
-    [409, 477, 528],
-    [406, 472, 528],
-    [406, 409, 528],
-    [471, 478, 529],
-    [410, 478, 529],
-    [405, 471, 529],
-    [405, 410, 529],
-    [473, 479, 530],
-    [410, 479, 530],
-    [407, 473, 530],
-    [407, 410, 530],
-    [466, 467, 533],
-    [416, 467, 533],
-    [415, 466, 533],
-    [415, 416, 533],
-    [468, 480, 534],
-    [418, 480, 534],
-    [411, 468, 534],
-    [411, 418, 534],
-    [469, 481, 536],
-    [420, 481, 536],
-    [413, 469, 536],
-    [413, 420, 536],
-    [470, 482, 535],
-    [419, 482, 535],
-    [412, 470, 535],
-    [412, 419, 535],
-    [471, 483, 537],
-    [421, 483, 537],
-    [414, 471, 537],
-    [414, 421, 537],
-    [472, 484, 538],
-    [424, 484, 538],
-    [415, 472, 538],
-    [415, 424, 538],
-    [473, 485, 539],
-    [425, 485, 539],
-    [416, 473, 539],
-    [416, 425, 539],
-    [474, 480, 540],
-    [426, 480, 540],
-    [417, 474, 540],
-    [417, 426, 540],
-    [475, 481, 541],
-    [427, 481, 541],
-    [417, 475, 541],
-    [417, 427, 541],
-    [476, 482, 542],
-    [430, 482, 542],
-    [422, 476, 542],
-    [422, 430, 542],
-    [477, 484, 543],
-    [431, 484, 543],
-    [422, 477, 543],
-    [422, 431, 543],
-    [478, 483, 544],
-    [432, 483, 544],
-    [423, 478, 544],
-    [423, 432, 544],
-    [479, 485, 545],
-    [433, 485, 545],
-    [423, 479, 545],
-    [423, 433, 545],
-    [486, 492, 546],
-    [428, 492, 546],
-    [418, 486, 546],
-    [418, 428, 546],
-    [488, 493, 547],
-    [428, 493, 547],
-    [419, 488, 547],
-    [419, 428, 547],
-    [487, 494, 548],
-    [429, 494, 548],
-    [420, 487, 548],
-    [420, 429, 548],
-    [489, 495, 549],
-    [429, 495, 549],
-    [421, 489, 549],
-    [421, 429, 549],
-    [490, 496, 550],
-    [434, 496, 550],
-    [424, 490, 550],
-    [424, 434, 550],
-    [491, 497, 551],
-    [434, 497, 551],
-    [425, 491, 551],
-    [425, 434, 551],
-    [486, 498, 552],
-    [435, 498, 552],
-    [426, 486, 552],
-    [426, 435, 552],
-    [487, 499, 553],
-    [436, 499, 553],
-    [427, 487, 553],
-    [427, 436, 553],
-    [488, 500, 554],
-    [437, 500, 554],
-    [430, 488, 554],
-    [430, 437, 554],
-    [489, 501, 556],
-    [439, 501, 556],
-    [432, 489, 556],
-    [432, 439, 556],
-    [490, 502, 555],
-    [438, 502, 555],
-    [431, 490, 555],
-    [431, 438, 555],
-    [491, 503, 557],
-    [440, 503, 557],
-    [433, 491, 557],
-    [433, 440, 557],
-    [504, 505, 558],
-    [436, 505, 558],
-    [435, 504, 558],
-    [435, 436, 558],
-    [492, 498, 561],
-    [444, 498, 561],
-    [441, 492, 561],
-    [441, 444, 561],
-    [493, 500, 562],
-    [446, 500, 562],
-    [441, 493, 562],
-    [441, 446, 562],
-    [494, 499, 563],
-    [445, 499, 563],
-    [442, 494, 563],
-    [442, 445, 563],
-    [495, 501, 564],
-    [447, 501, 564],
-    [442, 495, 564],
-    [442, 447, 564],
-    [506, 507, 559],
-    [438, 507, 559],
-    [437, 506, 559],
-    [437, 438, 559],
-    [508, 509, 560],
-    [440, 509, 560],
-    [439, 508, 560],
-    [439, 440, 560],
-    [496, 502, 565],
-    [448, 502, 565],
-    [443, 496, 565],
-    [443, 448, 565],
-    [497, 503, 566],
-    [449, 503, 566],
-    [443, 497, 566],
-    [443, 449, 566],
-    [504, 510, 567],
-    [450, 510, 567],
-    [444, 504, 567],
-    [444, 450, 567],
-    [505, 510, 568],
-    [451, 510, 568],
-    [445, 505, 568],
-    [445, 451, 568],
-    [506, 511, 569],
-    [452, 511, 569],
-    [446, 506, 569],
-    [446, 452, 569],
-    [508, 512, 570],
-    [453, 512, 570],
-    [447, 508, 570],
-    [447, 453, 570],
-    [507, 511, 571],
-    [454, 511, 571],
-    [448, 507, 571],
-    [448, 454, 571],
-    [509, 512, 572],
-    [455, 512, 572],
-    [449, 509, 572],
-    [449, 455, 572],
-    [513, 514, 573],
-    [452, 514, 573],
-    [450, 513, 573],
-    [450, 452, 573],
-    [513, 515, 574],
-    [453, 515, 574],
-    [451, 513, 574],
-    [451, 453, 574],
-    [514, 515, 575],
-    [455, 515, 575],
-    [454, 514, 575],
-    [454, 455, 575],
-    [525, 526, 606],
-    [520, 526, 606],
-    [519, 525, 606],
-    [516, 520, 606],
-    [516, 519, 606],
-    [408, 525, 526],
-    [403, 520, 526],
-    [402, 519, 525],
-    [397, 516, 520],
-    [396, 516, 519],
-    [527, 528, 607],
-    [523, 528, 607],
-    [521, 527, 607],
-    [517, 523, 607],
-    [517, 521, 607],
-    [409, 527, 528],
-    [406, 523, 528],
-    [404, 521, 527],
-    [400, 517, 523],
-    [398, 517, 521],
-    [529, 530, 608],
-    [524, 530, 608],
-    [522, 529, 608],
-    [518, 524, 608],
-    [518, 522, 608],
-    [410, 529, 530],
-    [407, 524, 530],
-    [405, 522, 529],
-    [401, 518, 524],
-    [399, 518, 522],
-    [546, 547, 609],
-    [535, 547, 609],
-    [534, 546, 609],
-    [531, 535, 609],
-    [531, 534, 609],
-    [428, 546, 547],
-    [419, 535, 547],
-    [418, 534, 546],
-    [412, 531, 535],
-    [411, 531, 534],
-    [548, 549, 610],
-    [537, 549, 610],
-    [536, 548, 610],
-    [532, 537, 610],
-    [532, 536, 610],
-    [429, 548, 549],
-    [421, 537, 549],
-    [420, 536, 548],
-    [414, 532, 537],
-    [413, 532, 536],
-    [550, 551, 611],
-    [539, 551, 611],
-    [538, 550, 611],
-    [533, 539, 611],
-    [533, 538, 611],
-    [434, 550, 551],
-    [425, 539, 551],
-    [424, 538, 550],
-    [416, 533, 539],
-    [415, 533, 538],
-    [553, 558, 612],
-    [552, 558, 612],
-    [541, 553, 612],
-    [540, 552, 612],
-    [540, 541, 612],
-    [436, 553, 558],
-    [435, 552, 558],
-    [427, 541, 553],
-    [426, 540, 552],
-    [417, 540, 541],
-    [555, 559, 613],
-    [554, 559, 613],
-    [543, 555, 613],
-    [542, 554, 613],
-    [542, 543, 613],
-    [438, 555, 559],
-    [437, 554, 559],
-    [431, 543, 555],
-    [430, 542, 554],
-    [422, 542, 543],
-    [557, 560, 614],
-    [556, 560, 614],
-    [545, 557, 614],
-    [544, 556, 614],
-    [544, 545, 614],
-    [440, 557, 560],
-    [439, 556, 560],
-    [433, 545, 557],
-    [432, 544, 556],
-    [423, 544, 545],
-    [569, 573, 615],
-    [567, 573, 615],
-    [562, 569, 615],
-    [561, 567, 615],
-    [561, 562, 615],
-    [452, 569, 573],
-    [450, 567, 573],
-    [446, 562, 569],
-    [444, 561, 567],
-    [441, 561, 562],
-    [570, 574, 616],
-    [568, 574, 616],
-    [564, 570, 616],
-    [563, 568, 616],
-    [563, 564, 616],
-    [453, 570, 574],
-    [451, 568, 574],
-    [447, 564, 570],
-    [445, 563, 568],
-    [442, 563, 564],
-    [572, 575, 617],
-    [571, 575, 617],
-    [566, 572, 617],
-    [565, 571, 617],
-    [565, 566, 617],
-    [455, 572, 575],
-    [454, 571, 575],
-    [449, 566, 572],
-    [448, 565, 571],
-    [443, 565, 566],
-    [516, 519, 576],
-    [459, 519, 576],
-    [456, 516, 576],
-    [456, 459, 576],
-    [516, 520, 577],
-    [460, 520, 577],
-    [457, 516, 577],
-    [457, 460, 577],
-    [517, 521, 576],
-    [459, 521, 576],
-    [456, 517, 576],
-    [518, 522, 577],
-    [460, 522, 577],
-    [457, 518, 577],
-    [517, 523, 578],
-    [461, 523, 578],
-    [458, 517, 578],
-    [458, 461, 578],
-    [518, 524, 578],
-    [461, 524, 578],
-    [458, 518, 578],
-    [519, 525, 579],
-    [468, 525, 579],
-    [462, 519, 579],
-    [462, 468, 579],
-    [520, 526, 580],
-    [469, 526, 580],
-    [464, 520, 580],
-    [464, 469, 580],
-    [521, 527, 581],
-    [470, 527, 581],
-    [463, 521, 581],
-    [463, 470, 581],
-    [522, 529, 582],
-    [471, 529, 582],
-    [465, 522, 582],
-    [465, 471, 582],
-    [523, 528, 583],
-    [472, 528, 583],
-    [466, 523, 583],
-    [466, 472, 583],
-    [524, 530, 584],
-    [473, 530, 584],
-    [467, 524, 584],
-    [467, 473, 584],
-    [525, 526, 585],
-    [475, 526, 585],
-    [474, 525, 585],
-    [474, 475, 585],
-    [531, 534, 579],
-    [468, 534, 579],
-    [462, 531, 579],
-    [531, 535, 581],
-    [470, 535, 581],
-    [463, 531, 581],
-    [532, 536, 580],
-    [469, 536, 580],
-    [464, 532, 580],
-    [532, 537, 582],
-    [471, 537, 582],
-    [465, 532, 582],
-    [527, 528, 586],
-    [477, 528, 586],
-    [476, 527, 586],
-    [476, 477, 586],
-    [529, 530, 587],
-    [479, 530, 587],
-    [478, 529, 587],
-    [478, 479, 587],
-    [533, 538, 583],
-    [472, 538, 583],
-    [466, 533, 583],
-    [533, 539, 584],
-    [473, 539, 584],
-    [467, 533, 584],
-    [540, 541, 585],
-    [475, 541, 585],
-    [474, 540, 585],
-    [542, 543, 586],
-    [477, 543, 586],
-    [476, 542, 586],
-    [544, 545, 587],
-    [479, 545, 587],
-    [478, 544, 587],
-    [534, 546, 588],
-    [486, 546, 588],
-    [480, 534, 588],
-    [480, 486, 588],
-    [536, 548, 589],
-    [487, 548, 589],
-    [481, 536, 589],
-    [481, 487, 589],
-    [535, 547, 590],
-    [488, 547, 590],
-    [482, 535, 590],
-    [482, 488, 590],
-    [537, 549, 591],
-    [489, 549, 591],
-    [483, 537, 591],
-    [483, 489, 591],
-    [538, 550, 592],
-    [490, 550, 592],
-    [484, 538, 592],
-    [484, 490, 592],
-    [539, 551, 593],
-    [491, 551, 593],
-    [485, 539, 593],
-    [485, 491, 593],
-    [540, 552, 588],
-    [486, 552, 588],
-    [480, 540, 588],
-    [541, 553, 589],
-    [487, 553, 589],
-    [481, 541, 589],
-    [542, 554, 590],
-    [488, 554, 590],
-    [482, 542, 590],
-    [544, 556, 591],
-    [489, 556, 591],
-    [483, 544, 591],
-    [543, 555, 592],
-    [490, 555, 592],
-    [484, 543, 592],
-    [545, 557, 593],
-    [491, 557, 593],
-    [485, 545, 593],
-    [546, 547, 594],
-    [493, 547, 594],
-    [492, 546, 594],
-    [492, 493, 594],
-    [548, 549, 595],
-    [495, 549, 595],
-    [494, 548, 595],
-    [494, 495, 595],
-    [550, 551, 596],
-    [497, 551, 596],
-    [496, 550, 596],
-    [496, 497, 596],
-    [552, 558, 597],
-    [504, 558, 597],
-    [498, 552, 597],
-    [498, 504, 597],
-    [553, 558, 598],
-    [505, 558, 598],
-    [499, 553, 598],
-    [499, 505, 598],
-    [561, 562, 594],
-    [493, 562, 594],
-    [492, 561, 594],
-    [563, 564, 595],
-    [495, 564, 595],
-    [494, 563, 595],
-    [554, 559, 599],
-    [506, 559, 599],
-    [500, 554, 599],
-    [500, 506, 599],
-    [555, 559, 601],
-    [507, 559, 601],
-    [502, 555, 601],
-    [502, 507, 601],
-    [556, 560, 600],
-    [508, 560, 600],
-    [501, 556, 600],
-    [501, 508, 600],
-    [557, 560, 602],
-    [509, 560, 602],
-    [503, 557, 602],
-    [503, 509, 602],
-    [565, 566, 596],
-    [497, 566, 596],
-    [496, 565, 596],
-    [561, 567, 597],
-    [504, 567, 597],
-    [498, 561, 597],
-    [563, 568, 598],
-    [505, 568, 598],
-    [499, 563, 598],
-    [562, 569, 599],
-    [506, 569, 599],
-    [500, 562, 599],
-    [564, 570, 600],
-    [508, 570, 600],
-    [501, 564, 600],
-    [565, 571, 601],
-    [507, 571, 601],
-    [502, 565, 601],
-    [566, 572, 602],
-    [509, 572, 602],
-    [503, 566, 602],
-    [567, 573, 603],
-    [513, 573, 603],
-    [510, 567, 603],
-    [510, 513, 603],
-    [568, 574, 603],
-    [513, 574, 603],
-    [510, 568, 603],
-    [569, 573, 604],
-    [514, 573, 604],
-    [511, 569, 604],
-    [511, 514, 604],
-    [570, 574, 605],
-    [515, 574, 605],
-    [512, 570, 605],
-    [512, 515, 605],
-    [571, 575, 604],
-    [514, 575, 604],
-    [511, 571, 604],
-    [572, 575, 605],
-    [515, 575, 605],
-    [512, 572, 605],
-    [618, 619, 620],
-    [578, 619, 620],
-    [577, 618, 620],
-    [518, 578, 620],
-    [518, 577, 620],
-    [576, 618, 619],
-    [517, 578, 619],
-    [517, 576, 619],
-    [516, 577, 618],
-    [516, 576, 618],
-    [621, 623, 629],
-    [581, 623, 629],
-    [579, 621, 629],
-    [531, 581, 629],
-    [531, 579, 629],
-    [576, 621, 623],
-    [521, 581, 623],
-    [521, 576, 623],
-    [519, 579, 621],
-    [519, 576, 621],
-    [622, 624, 630],
-    [582, 624, 630],
-    [580, 622, 630],
-    [532, 582, 630],
-    [532, 580, 630],
-    [577, 622, 624],
-    [522, 582, 624],
-    [522, 577, 624],
-    [520, 580, 622],
-    [520, 577, 622],
-    [625, 626, 635],
-    [584, 626, 635],
-    [583, 625, 635],
-    [533, 584, 635],
-    [533, 583, 635],
-    [578, 625, 626],
-    [524, 584, 626],
-    [524, 578, 626],
-    [523, 583, 625],
-    [523, 578, 625],
-    [627, 636, 642],
-    [588, 636, 642],
-    [585, 627, 642],
-    [540, 588, 642],
-    [540, 585, 642],
-    [579, 627, 636],
-    [534, 588, 636],
-    [534, 579, 636],
-    [525, 585, 627],
-    [525, 579, 627],
-    [628, 637, 643],
-    [589, 637, 643],
-    [585, 628, 643],
-    [541, 589, 643],
-    [541, 585, 643],
-    [580, 628, 637],
-    [536, 589, 637],
-    [536, 580, 637],
-    [526, 585, 628],
-    [526, 580, 628],
-    [631, 638, 644],
-    [590, 638, 644],
-    [586, 631, 644],
-    [542, 590, 644],
-    [542, 586, 644],
-    [581, 631, 638],
-    [535, 590, 638],
-    [535, 581, 638],
-    [527, 586, 631],
-    [527, 581, 631],
-    [633, 639, 646],
-    [591, 639, 646],
-    [587, 633, 646],
-    [544, 591, 646],
-    [544, 587, 646],
-    [582, 633, 639],
-    [537, 591, 639],
-    [537, 582, 639],
-    [529, 587, 633],
-    [529, 582, 633],
-    [632, 640, 645],
-    [592, 640, 645],
-    [586, 632, 645],
-    [543, 592, 645],
-    [543, 586, 645],
-    [583, 632, 640],
-    [538, 592, 640],
-    [538, 583, 640],
-    [528, 586, 632],
-    [528, 583, 632],
-    [634, 641, 647],
-    [593, 641, 647],
-    [587, 634, 647],
-    [545, 593, 647],
-    [545, 587, 647],
-    [584, 634, 641],
-    [539, 593, 641],
-    [539, 584, 641],
-    [530, 587, 634],
-    [530, 584, 634],
-    [648, 654, 661],
-    [597, 654, 661],
-    [594, 648, 661],
-    [561, 597, 661],
-    [561, 594, 661],
-    [588, 648, 654],
-    [552, 597, 654],
-    [552, 588, 654],
-    [546, 594, 648],
-    [546, 588, 648],
-    [650, 655, 663],
-    [598, 655, 663],
-    [595, 650, 663],
-    [563, 598, 663],
-    [563, 595, 663],
-    [589, 650, 655],
-    [553, 598, 655],
-    [553, 589, 655],
-    [548, 595, 650],
-    [548, 589, 650],
-    [649, 656, 662],
-    [599, 656, 662],
-    [594, 649, 662],
-    [562, 599, 662],
-    [562, 594, 662],
-    [590, 649, 656],
-    [554, 599, 656],
-    [554, 590, 656],
-    [547, 594, 649],
-    [547, 590, 649],
-    [651, 657, 664],
-    [600, 657, 664],
-    [595, 651, 664],
-    [564, 600, 664],
-    [564, 595, 664],
-    [591, 651, 657],
-    [556, 600, 657],
-    [556, 591, 657],
-    [549, 595, 651],
-    [549, 591, 651],
-    [652, 658, 667],
-    [601, 658, 667],
-    [596, 652, 667],
-    [565, 601, 667],
-    [565, 596, 667],
-    [592, 652, 658],
-    [555, 601, 658],
-    [555, 592, 658],
-    [550, 596, 652],
-    [550, 592, 652],
-    [653, 659, 668],
-    [602, 659, 668],
-    [596, 653, 668],
-    [566, 602, 668],
-    [566, 596, 668],
-    [593, 653, 659],
-    [557, 602, 659],
-    [557, 593, 659],
-    [551, 596, 653],
-    [551, 593, 653],
-    [660, 669, 670],
-    [603, 669, 670],
-    [598, 660, 670],
-    [568, 603, 670],
-    [568, 598, 670],
-    [597, 660, 669],
-    [567, 603, 669],
-    [567, 597, 669],
-    [558, 598, 660],
-    [558, 597, 660],
-    [665, 671, 673],
-    [604, 671, 673],
-    [601, 665, 673],
-    [571, 604, 673],
-    [571, 601, 673],
-    [599, 665, 671],
-    [569, 604, 671],
-    [569, 599, 671],
-    [559, 601, 665],
-    [559, 599, 665],
-    [666, 672, 674],
-    [605, 672, 674],
-    [602, 666, 674],
-    [572, 605, 674],
-    [572, 602, 674],
-    [600, 666, 672],
-    [570, 605, 672],
-    [570, 600, 672],
-    [560, 602, 666],
-    [560, 600, 666],
-    [675, 676, 677],
-    [605, 676, 677],
-    [604, 675, 677],
-    [575, 605, 677],
-    [575, 604, 677],
-    [603, 675, 676],
-    [574, 605, 676],
-    [574, 603, 676],
-    [573, 604, 675],
-    [573, 603, 675],
-    [606, 618, 621],
-    [576, 618, 621],
-    [519, 606, 621],
-    [516, 606, 618],
-    [606, 618, 622],
-    [577, 618, 622],
-    [520, 606, 622],
-    [607, 619, 623],
-    [576, 619, 623],
-    [521, 607, 623],
-    [517, 607, 619],
-    [608, 620, 624],
-    [577, 620, 624],
-    [522, 608, 624],
-    [518, 608, 620],
-    [607, 619, 625],
-    [578, 619, 625],
-    [523, 607, 625],
-    [608, 620, 626],
-    [578, 620, 626],
-    [524, 608, 626],
-    [606, 621, 627],
-    [579, 621, 627],
-    [525, 606, 627],
-    [606, 622, 628],
-    [580, 622, 628],
-    [526, 606, 628],
-    [607, 623, 631],
-    [581, 623, 631],
-    [527, 607, 631],
-    [608, 624, 633],
-    [582, 624, 633],
-    [529, 608, 633],
-    [607, 625, 632],
-    [583, 625, 632],
-    [528, 607, 632],
-    [608, 626, 634],
-    [584, 626, 634],
-    [530, 608, 634],
-    [606, 627, 628],
-    [585, 627, 628],
-    [607, 631, 632],
-    [586, 631, 632],
-    [608, 633, 634],
-    [587, 633, 634],
-    [609, 629, 636],
-    [579, 629, 636],
-    [534, 609, 636],
-    [531, 609, 629],
-    [609, 629, 638],
-    [581, 629, 638],
-    [535, 609, 638],
-    [610, 630, 637],
-    [580, 630, 637],
-    [536, 610, 637],
-    [532, 610, 630],
-    [610, 630, 639],
-    [582, 630, 639],
-    [537, 610, 639],
-    [611, 635, 640],
-    [583, 635, 640],
-    [538, 611, 640],
-    [533, 611, 635],
-    [611, 635, 641],
-    [584, 635, 641],
-    [539, 611, 641],
-    [612, 642, 643],
-    [585, 642, 643],
-    [541, 612, 643],
-    [540, 612, 642],
-    [609, 636, 648],
-    [588, 636, 648],
-    [546, 609, 648],
-    [609, 638, 649],
-    [590, 638, 649],
-    [547, 609, 649],
-    [610, 637, 650],
-    [589, 637, 650],
-    [548, 610, 650],
-    [610, 639, 651],
-    [591, 639, 651],
-    [549, 610, 651],
-    [613, 644, 645],
-    [586, 644, 645],
-    [543, 613, 645],
-    [542, 613, 644],
-    [614, 646, 647],
-    [587, 646, 647],
-    [545, 614, 647],
-    [544, 614, 646],
-    [611, 640, 652],
-    [592, 640, 652],
-    [550, 611, 652],
-    [611, 641, 653],
-    [593, 641, 653],
-    [551, 611, 653],
-    [612, 642, 654],
-    [588, 642, 654],
-    [552, 612, 654],
-    [612, 643, 655],
-    [589, 643, 655],
-    [553, 612, 655],
-    [609, 648, 649],
-    [594, 648, 649],
-    [610, 650, 651],
-    [595, 650, 651],
-    [613, 644, 656],
-    [590, 644, 656],
-    [554, 613, 656],
-    [613, 645, 658],
-    [592, 645, 658],
-    [555, 613, 658],
-    [614, 646, 657],
-    [591, 646, 657],
-    [556, 614, 657],
-    [614, 647, 659],
-    [593, 647, 659],
-    [557, 614, 659],
-    [611, 652, 653],
-    [596, 652, 653],
-    [612, 654, 660],
-    [597, 654, 660],
-    [558, 612, 660],
-    [612, 655, 660],
-    [598, 655, 660],
-    [613, 656, 665],
-    [599, 656, 665],
-    [559, 613, 665],
-    [613, 658, 665],
-    [601, 658, 665],
-    [614, 657, 666],
-    [600, 657, 666],
-    [560, 614, 666],
-    [614, 659, 666],
-    [602, 659, 666],
-    [615, 661, 662],
-    [594, 661, 662],
-    [562, 615, 662],
-    [561, 615, 661],
-    [616, 663, 664],
-    [595, 663, 664],
-    [564, 616, 664],
-    [563, 616, 663],
-    [617, 667, 668],
-    [596, 667, 668],
-    [566, 617, 668],
-    [565, 617, 667],
-    [615, 661, 669],
-    [597, 661, 669],
-    [567, 615, 669],
-    [616, 663, 670],
-    [598, 663, 670],
-    [568, 616, 670],
-    [615, 662, 671],
-    [599, 662, 671],
-    [569, 615, 671],
-    [616, 664, 672],
-    [600, 664, 672],
-    [570, 616, 672],
-    [617, 667, 673],
-    [601, 667, 673],
-    [571, 617, 673],
-    [617, 668, 674],
-    [602, 668, 674],
-    [572, 617, 674],
-    [615, 669, 675],
-    [603, 669, 675],
-    [573, 615, 675],
-    [616, 670, 676],
-    [603, 670, 676],
-    [574, 616, 676],
-    [615, 671, 675],
-    [604, 671, 675],
-    [616, 672, 676],
-    [605, 672, 676],
-    [617, 673, 677],
-    [604, 673, 677],
-    [575, 617, 677],
-    [617, 674, 677],
-    [605, 674, 677],
-    [621, 623, 678],
-    [619, 623, 678],
-    [618, 621, 678],
-    [618, 619, 678],
-    [622, 624, 679],
-    [620, 624, 679],
-    [618, 622, 679],
-    [618, 620, 679],
-    [625, 626, 680],
-    [620, 626, 680],
-    [619, 625, 680],
-    [619, 620, 680],
-    [629, 636, 681],
-    [627, 636, 681],
-    [621, 629, 681],
-    [621, 627, 681],
-    [630, 637, 682],
-    [628, 637, 682],
-    [622, 630, 682],
-    [622, 628, 682],
-    [631, 638, 683],
-    [629, 638, 683],
-    [623, 631, 683],
-    [623, 629, 683],
-    [633, 639, 684],
-    [630, 639, 684],
-    [624, 633, 684],
-    [624, 630, 684],
-    [635, 640, 685],
-    [632, 640, 685],
-    [625, 635, 685],
-    [625, 632, 685],
-    [635, 641, 686],
-    [634, 641, 686],
-    [626, 635, 686],
-    [626, 634, 686],
-    [642, 643, 687],
-    [628, 643, 687],
-    [627, 642, 687],
-    [627, 628, 687],
-    [644, 645, 688],
-    [632, 645, 688],
-    [631, 644, 688],
-    [631, 632, 688],
-    [646, 647, 689],
-    [634, 647, 689],
-    [633, 646, 689],
-    [633, 634, 689],
-    [648, 654, 690],
-    [642, 654, 690],
-    [636, 648, 690],
-    [636, 642, 690],
-    [650, 655, 691],
-    [643, 655, 691],
-    [637, 650, 691],
-    [637, 643, 691],
-    [649, 656, 692],
-    [644, 656, 692],
-    [638, 649, 692],
-    [638, 644, 692],
-    [651, 657, 693],
-    [646, 657, 693],
-    [639, 651, 693],
-    [639, 646, 693],
-    [652, 658, 694],
-    [645, 658, 694],
-    [640, 652, 694],
-    [640, 645, 694],
-    [653, 659, 695],
-    [647, 659, 695],
-    [641, 653, 695],
-    [641, 647, 695],
-    [661, 662, 696],
-    [649, 662, 696],
-    [648, 661, 696],
-    [648, 649, 696],
-    [663, 664, 697],
-    [651, 664, 697],
-    [650, 663, 697],
-    [650, 651, 697],
-    [667, 668, 698],
-    [653, 668, 698],
-    [652, 667, 698],
-    [652, 653, 698],
-    [661, 669, 699],
-    [660, 669, 699],
-    [654, 661, 699],
-    [654, 660, 699],
-    [663, 670, 700],
-    [660, 670, 700],
-    [655, 663, 700],
-    [655, 660, 700],
-    [665, 671, 701],
-    [662, 671, 701],
-    [656, 665, 701],
-    [656, 662, 701],
-    [666, 672, 702],
-    [664, 672, 702],
-    [657, 666, 702],
-    [657, 664, 702],
-    [667, 673, 703],
-    [665, 673, 703],
-    [658, 667, 703],
-    [658, 665, 703],
-    [668, 674, 704],
-    [666, 674, 704],
-    [659, 668, 704],
-    [659, 666, 704],
-    [675, 676, 705],
-    [670, 676, 705],
-    [669, 675, 705],
-    [669, 670, 705],
-    [675, 677, 706],
-    [673, 677, 706],
-    [671, 675, 706],
-    [671, 673, 706],
-    [676, 677, 707],
-    [674, 677, 707],
-    [672, 676, 707],
-    [672, 674, 707],
-    [678, 679, 680],
-    [620, 679, 680],
-    [619, 678, 680],
-    [618, 678, 679],
-    [678, 681, 683],
-    [629, 681, 683],
-    [623, 678, 683],
-    [621, 678, 681],
-    [679, 682, 684],
-    [630, 682, 684],
-    [624, 679, 684],
-    [622, 679, 682],
-    [680, 685, 686],
-    [635, 685, 686],
-    [626, 680, 686],
-    [625, 680, 685],
-    [681, 687, 690],
-    [642, 687, 690],
-    [636, 681, 690],
-    [627, 681, 687],
-    [682, 687, 691],
-    [643, 687, 691],
-    [637, 682, 691],
-    [628, 682, 687],
-    [683, 688, 692],
-    [644, 688, 692],
-    [638, 683, 692],
-    [631, 683, 688],
-    [684, 689, 693],
-    [646, 689, 693],
-    [639, 684, 693],
-    [633, 684, 689],
-    [685, 688, 694],
-    [645, 688, 694],
-    [640, 685, 694],
-    [632, 685, 688],
-    [686, 689, 695],
-    [647, 689, 695],
-    [641, 686, 695],
-    [634, 686, 689],
-    [690, 696, 699],
-    [661, 696, 699],
-    [654, 690, 699],
-    [648, 690, 696],
-    [691, 697, 700],
-    [663, 697, 700],
-    [655, 691, 700],
-    [650, 691, 697],
-    [692, 696, 701],
-    [662, 696, 701],
-    [656, 692, 701],
-    [649, 692, 696],
-    [693, 697, 702],
-    [664, 697, 702],
-    [657, 693, 702],
-    [651, 693, 697],
-    [694, 698, 703],
-    [667, 698, 703],
-    [658, 694, 703],
-    [652, 694, 698],
-    [695, 698, 704],
-    [668, 698, 704],
-    [659, 695, 704],
-    [653, 695, 698],
-    [699, 700, 705],
-    [670, 700, 705],
-    [669, 699, 705],
-    [660, 699, 700],
-    [701, 703, 706],
-    [673, 703, 706],
-    [671, 701, 706],
-    [665, 701, 703],
-    [702, 704, 707],
-    [674, 704, 707],
-    [672, 702, 707],
-    [666, 702, 704],
-    [705, 706, 707],
-    [677, 706, 707],
-    [676, 705, 707],
-    [675, 705, 706],
-    [682, 687, 708],
-    [681, 687, 708],
-    [679, 682, 708],
-    [678, 681, 708],
-    [678, 679, 708],
-    [685, 688, 709],
-    [683, 688, 709],
-    [680, 685, 709],
-    [678, 683, 709],
-    [678, 680, 709],
-    [686, 689, 710],
-    [684, 689, 710],
-    [680, 686, 710],
-    [679, 684, 710],
-    [679, 680, 710],
-    [692, 696, 711],
-    [690, 696, 711],
-    [683, 692, 711],
-    [681, 690, 711],
-    [681, 683, 711],
-    [693, 697, 712],
-    [691, 697, 712],
-    [684, 693, 712],
-    [682, 691, 712],
-    [682, 684, 712],
-    [695, 698, 713],
-    [694, 698, 713],
-    [686, 695, 713],
-    [685, 694, 713],
-    [685, 686, 713],
-    [699, 700, 714],
-    [691, 700, 714],
-    [690, 699, 714],
-    [687, 691, 714],
-    [687, 690, 714],
-    [701, 703, 715],
-    [694, 703, 715],
-    [692, 701, 715],
-    [688, 694, 715],
-    [688, 692, 715],
-    [702, 704, 716],
-    [695, 704, 716],
-    [693, 702, 716],
-    [689, 695, 716],
-    [689, 693, 716],
-    [705, 706, 717],
-    [701, 706, 717],
-    [699, 705, 717],
-    [696, 701, 717],
-    [696, 699, 717],
-    [705, 707, 718],
-    [702, 707, 718],
-    [700, 705, 718],
-    [697, 702, 718],
-    [697, 700, 718],
-    [706, 707, 719],
-    [704, 707, 719],
-    [703, 706, 719],
-    [698, 704, 719],
-    [698, 703, 719],
-    [708, 709, 710],
-    [680, 709, 710],
-    [679, 708, 710],
-    [678, 708, 709],
-    [708, 709, 711],
-    [683, 709, 711],
-    [681, 708, 711],
-    [708, 710, 712],
-    [684, 710, 712],
-    [682, 708, 712],
-    [709, 710, 713],
-    [686, 710, 713],
-    [685, 709, 713],
-    [708, 711, 714],
-    [690, 711, 714],
-    [687, 708, 714],
-    [708, 712, 714],
-    [691, 712, 714],
-    [709, 711, 715],
-    [692, 711, 715],
-    [688, 709, 715],
-    [710, 712, 716],
-    [693, 712, 716],
-    [689, 710, 716],
-    [709, 713, 715],
-    [694, 713, 715],
-    [710, 713, 716],
-    [695, 713, 716],
-    [711, 714, 717],
-    [699, 714, 717],
-    [696, 711, 717],
-    [712, 714, 718],
-    [700, 714, 718],
-    [697, 712, 718],
-    [711, 715, 717],
-    [701, 715, 717],
-    [712, 716, 718],
-    [702, 716, 718],
-    [713, 715, 719],
-    [703, 715, 719],
-    [698, 713, 719],
-    [713, 716, 719],
-    [704, 716, 719],
-    [714, 717, 718],
-    [705, 717, 718],
-    [715, 717, 719],
-    [706, 717, 719],
-    [716, 718, 719],
-    [707, 718, 719],
-    [717, 718, 719],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
-    [20, 21, 22, 23, 24, 25, 26, 19],
-    [27, 28, 29, 30, 31, 32, 26, 18],
-    [33, 34, 35, 36, 37, 38, 25, 17],
-    [39, 40, 41, 42, 43, 44, 23, 16],
-    [45, 46, 47, 48, 49, 50, 32, 15],
-    [51, 52, 53, 54, 55, 50, 38, 14],
-    [56, 57, 58, 59, 60, 61, 30, 13],
-    [62, 63, 64, 65, 66, 67, 36, 11],
-    [68, 69, 70, 71, 72, 61, 44, 12],
-    [73, 74, 75, 76, 77, 67, 42, 10],
-    [78, 79, 80, 81, 82, 83, 48, 9],
-    [84, 85, 86, 87, 88, 89, 54, 7],
-    [90, 91, 92, 93, 94, 83, 59, 8],
-    [95, 96, 97, 98, 99, 89, 65, 6],
-    [100, 101, 102, 103, 104, 105, 71, 4],
-    [106, 107, 108, 109, 110, 105, 76, 3],
-    [111, 112, 113, 114, 115, 87, 81, 5],
-    [116, 117, 118, 119, 120, 103, 93, 2],
-    [121, 122, 123, 124, 125, 109, 98, 1],
-    [126, 127, 128, 124, 129, 119, 114, 0],
-    [
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      55, 49, 37, 31, 24,
-    ],
-    [
-      145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-      72, 60, 43, 29, 22,
-    ],
-    [
-      160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-      77, 66, 41, 35, 21,
-    ],
-    [
-      175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189,
-      94, 82, 58, 47, 28,
-    ],
-    [
-      190, 191, 192, 193, 194, 195, 196, 197, 198, 199, 200, 201, 202, 203, 204,
-      99, 88, 64, 53, 34,
-    ],
-    [
-      205, 206, 207, 208, 209, 210, 211, 212, 213, 214, 215, 216, 217, 218, 219,
-      110, 104, 75, 70, 40,
-    ],
-    [
-      220, 221, 222, 223, 224, 225, 226, 227, 228, 229, 230, 231, 232, 233, 234,
-      115, 86, 80, 52, 46,
-    ],
-    [
-      235, 236, 237, 238, 239, 240, 241, 242, 243, 244, 245, 246, 247, 248, 249,
-      120, 102, 92, 69, 57,
-    ],
-    [
-      250, 251, 252, 253, 254, 255, 256, 257, 258, 259, 260, 261, 262, 263, 264,
-      125, 108, 97, 74, 63,
-    ],
-    [
-      265, 266, 267, 268, 269, 270, 271, 272, 273, 274, 275, 276, 277, 278, 279,
-      129, 118, 113, 91, 79,
-    ],
-    [
-      280, 281, 282, 283, 284, 285, 286, 287, 288, 289, 290, 291, 292, 293, 294,
-      128, 123, 112, 96, 85,
-    ],
-    [
-      295, 296, 297, 298, 299, 300, 301, 302, 303, 304, 305, 306, 307, 308, 309,
-      127, 122, 117, 107, 101,
-    ],
-    [310, 311, 312, 174, 313, 159, 144, 20],
-    [314, 315, 316, 189, 317, 158, 143, 27],
-    [318, 319, 320, 204, 321, 173, 141, 33],
-    [322, 323, 324, 219, 325, 171, 156, 39],
-    [326, 327, 328, 234, 329, 188, 139, 45],
-    [330, 331, 332, 233, 333, 203, 137, 51],
-    [334, 335, 336, 249, 337, 186, 154, 56],
-    [338, 339, 340, 264, 341, 201, 169, 62],
-    [342, 343, 344, 248, 345, 218, 152, 68],
-    [346, 347, 348, 263, 349, 216, 167, 73],
-    [350, 351, 352, 279, 353, 231, 184, 78],
-    [354, 355, 356, 294, 357, 229, 199, 84],
-    [358, 359, 360, 278, 361, 246, 182, 90],
-    [362, 363, 364, 293, 365, 261, 197, 95],
-    [366, 367, 368, 309, 369, 244, 214, 100],
-    [370, 371, 372, 308, 373, 259, 212, 106],
-    [374, 375, 376, 291, 377, 276, 227, 111],
-    [378, 379, 380, 306, 381, 274, 242, 116],
-    [382, 383, 384, 304, 385, 289, 257, 121],
-    [386, 387, 388, 302, 389, 287, 272, 126],
-    [390, 391, 392, 393, 317, 157, 142, 313],
-    [394, 395, 396, 397, 321, 172, 140, 312],
-    [398, 399, 400, 401, 325, 170, 155, 311],
-    [402, 403, 404, 405, 187, 329, 316, 138],
-    [406, 407, 408, 409, 202, 333, 320, 136],
-    [410, 411, 412, 413, 337, 185, 153, 315],
-    [414, 415, 416, 417, 341, 200, 168, 319],
-    [418, 419, 420, 421, 217, 345, 324, 151],
-    [422, 423, 424, 425, 215, 349, 323, 166],
-    [426, 427, 428, 429, 232, 332, 328, 135],
-    [430, 431, 432, 433, 247, 344, 336, 150],
-    [434, 435, 436, 437, 262, 348, 340, 165],
-    [438, 439, 440, 441, 353, 230, 183, 327],
-    [442, 443, 444, 445, 357, 228, 198, 331],
-    [446, 447, 448, 449, 361, 245, 181, 335],
-    [450, 451, 452, 453, 365, 260, 196, 339],
-    [454, 455, 456, 457, 369, 243, 213, 343],
-    [458, 459, 460, 461, 373, 258, 211, 347],
-    [462, 463, 464, 465, 277, 360, 352, 180],
-    [466, 467, 468, 469, 292, 364, 356, 195],
-    [470, 471, 472, 473, 307, 372, 368, 210],
-    [474, 475, 476, 477, 275, 377, 351, 226],
-    [478, 479, 480, 481, 290, 376, 355, 225],
-    [482, 483, 484, 485, 381, 273, 241, 359],
-    [486, 487, 488, 489, 385, 288, 256, 363],
-    [490, 491, 492, 493, 305, 380, 367, 240],
-    [494, 495, 496, 497, 303, 384, 371, 255],
-    [498, 499, 500, 501, 389, 286, 271, 375],
-    [502, 503, 504, 505, 388, 301, 270, 379],
-    [506, 507, 508, 509, 387, 300, 285, 383],
-    [510, 511, 512, 513, 514, 515, 392, 134],
-    [516, 517, 518, 519, 520, 515, 396, 133],
-    [521, 522, 523, 524, 525, 526, 391, 149],
-    [527, 528, 529, 530, 531, 532, 395, 164],
-    [533, 534, 535, 536, 537, 526, 400, 148],
-    [538, 539, 540, 541, 542, 532, 399, 163],
-    [543, 544, 545, 546, 547, 513, 405, 132],
-    [548, 549, 550, 551, 552, 519, 409, 131],
-    [553, 554, 555, 556, 557, 524, 412, 147],
-    [558, 559, 560, 561, 562, 530, 416, 162],
-    [563, 564, 565, 566, 567, 536, 421, 146],
-    [568, 569, 570, 571, 572, 541, 425, 161],
-    [573, 574, 575, 551, 576, 546, 429, 130],
-    [577, 578, 579, 566, 580, 556, 433, 145],
-    [581, 582, 583, 571, 584, 561, 437, 160],
-    [585, 586, 587, 588, 589, 590, 402, 179],
-    [591, 592, 593, 594, 595, 590, 411, 178],
-    [596, 597, 598, 599, 600, 601, 406, 194],
-    [602, 603, 604, 605, 606, 601, 415, 193],
-    [607, 608, 609, 610, 611, 612, 418, 209],
-    [613, 614, 615, 616, 617, 612, 422, 208],
-    [618, 619, 620, 621, 622, 623, 426, 224],
-    [624, 625, 626, 627, 628, 588, 440, 177],
-    [629, 630, 631, 632, 633, 594, 448, 176],
-    [634, 635, 636, 637, 638, 599, 444, 192],
-    [639, 640, 641, 642, 643, 605, 452, 191],
-    [644, 645, 646, 647, 648, 649, 430, 239],
-    [650, 651, 652, 653, 654, 655, 434, 254],
-    [656, 657, 658, 659, 660, 610, 456, 207],
-    [661, 662, 663, 664, 665, 616, 460, 206],
-    [666, 667, 668, 669, 670, 623, 439, 223],
-    [671, 672, 673, 674, 675, 621, 443, 222],
-    [676, 677, 678, 632, 679, 627, 465, 175],
-    [680, 681, 682, 642, 683, 637, 469, 190],
-    [684, 685, 686, 687, 688, 649, 447, 238],
-    [689, 690, 691, 692, 693, 647, 455, 237],
-    [694, 695, 696, 697, 698, 655, 451, 253],
-    [699, 700, 701, 702, 703, 653, 459, 252],
-    [704, 705, 706, 664, 707, 659, 473, 205],
-    [708, 709, 710, 711, 712, 669, 477, 221],
-    [713, 714, 715, 711, 716, 674, 481, 220],
-    [717, 718, 719, 720, 721, 687, 484, 236],
-    [722, 723, 724, 720, 725, 692, 493, 235],
-    [726, 727, 728, 729, 730, 697, 488, 251],
-    [731, 732, 733, 729, 734, 702, 497, 250],
-    [735, 736, 737, 738, 739, 740, 462, 269],
-    [741, 742, 743, 744, 745, 746, 466, 284],
-    [747, 748, 749, 750, 751, 752, 470, 299],
-    [753, 754, 755, 756, 757, 740, 474, 268],
-    [758, 759, 760, 761, 762, 746, 478, 283],
-    [763, 764, 765, 766, 767, 738, 483, 267],
-    [768, 769, 770, 771, 772, 744, 487, 282],
-    [773, 774, 775, 776, 777, 752, 490, 298],
-    [778, 779, 780, 781, 782, 750, 494, 297],
-    [783, 784, 785, 786, 787, 756, 500, 266],
-    [788, 789, 790, 791, 792, 761, 499, 281],
-    [793, 794, 795, 786, 796, 766, 504, 265],
-    [797, 798, 799, 791, 800, 771, 508, 280],
-    [801, 802, 803, 804, 805, 776, 503, 296],
-    [806, 807, 808, 804, 809, 781, 507, 295],
-    [
-      810, 811, 812, 813, 814, 815, 816, 817, 818, 819, 542, 531, 537, 525, 520,
-      514, 401, 397, 393, 310,
-    ],
-    [
-      820, 821, 822, 823, 824, 825, 826, 827, 828, 829, 595, 589, 557, 523, 547,
-      512, 413, 404, 390, 314,
-    ],
-    [
-      830, 831, 832, 833, 834, 835, 836, 837, 838, 839, 606, 600, 562, 529, 552,
-      518, 417, 408, 394, 318,
-    ],
-    [
-      840, 841, 842, 843, 844, 845, 846, 847, 848, 849, 617, 611, 572, 540, 567,
-      535, 424, 420, 398, 322,
-    ],
-    [
-      850, 851, 852, 853, 854, 855, 856, 857, 858, 859, 670, 622, 628, 587, 576,
-      545, 441, 428, 403, 326,
-    ],
-    [
-      860, 861, 862, 863, 864, 865, 866, 867, 868, 869, 675, 620, 638, 598, 575,
-      550, 445, 427, 407, 330,
-    ],
-    [
-      870, 871, 872, 873, 874, 875, 876, 877, 878, 879, 688, 648, 633, 593, 580,
-      555, 449, 432, 410, 334,
-    ],
-    [
-      880, 881, 882, 883, 884, 885, 886, 887, 888, 889, 698, 654, 643, 604, 584,
-      560, 453, 436, 414, 338,
-    ],
-    [
-      890, 891, 892, 893, 894, 895, 896, 897, 898, 899, 693, 646, 660, 609, 579,
-      565, 457, 431, 419, 342,
-    ],
-    [
-      900, 901, 902, 903, 904, 905, 906, 907, 908, 909, 703, 652, 665, 615, 583,
-      570, 461, 435, 423, 346,
-    ],
-    [
-      910, 911, 912, 913, 914, 915, 916, 917, 918, 919, 757, 739, 712, 668, 679,
-      626, 476, 464, 438, 350,
-    ],
-    [
-      920, 921, 922, 923, 924, 925, 926, 927, 928, 929, 762, 745, 716, 673, 683,
-      636, 480, 468, 442, 354,
-    ],
-    [
-      930, 931, 932, 933, 934, 935, 936, 937, 938, 939, 767, 737, 721, 686, 678,
-      631, 485, 463, 446, 358,
-    ],
-    [
-      940, 941, 942, 943, 944, 945, 946, 947, 948, 949, 772, 743, 730, 696, 682,
-      641, 489, 467, 450, 362,
-    ],
-    [
-      950, 951, 952, 953, 954, 955, 956, 957, 958, 959, 777, 751, 725, 691, 707,
-      658, 492, 472, 454, 366,
-    ],
-    [
-      960, 961, 962, 963, 964, 965, 966, 967, 968, 969, 782, 749, 734, 701, 706,
-      663, 496, 471, 458, 370,
-    ],
-    [
-      970, 971, 972, 973, 974, 975, 976, 977, 978, 979, 792, 760, 787, 755, 715,
-      710, 501, 479, 475, 374,
-    ],
-    [
-      980, 981, 982, 983, 984, 985, 986, 987, 988, 989, 805, 775, 796, 765, 724,
-      719, 505, 491, 482, 378,
-    ],
-    [
-      990, 991, 992, 993, 994, 995, 996, 997, 998, 999, 809, 780, 800, 770, 733,
-      728, 509, 495, 486, 382,
-    ],
-    [
-      1000, 1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009, 808, 803, 799,
-      790, 795, 785, 506, 502, 498, 386,
-    ],
-    [1010, 1011, 1012, 1013, 1014, 829, 819, 510],
-    [1015, 1016, 1017, 1018, 1019, 839, 817, 516],
-    [1020, 1021, 1022, 1023, 1014, 828, 818, 521],
-    [1024, 1025, 1026, 1027, 1019, 838, 816, 527],
-    [1028, 1029, 1030, 1031, 1032, 849, 814, 533],
-    [1033, 1034, 1035, 1036, 1032, 848, 813, 538],
-    [1037, 1038, 1039, 1040, 1041, 859, 827, 543],
-    [1042, 1043, 1044, 1045, 1046, 869, 837, 548],
-    [1047, 1048, 1049, 1050, 1051, 879, 824, 553],
-    [1052, 1053, 1054, 1055, 1056, 889, 834, 558],
-    [1057, 1058, 1059, 1060, 1061, 899, 847, 563],
-    [1062, 1063, 1064, 1065, 1066, 909, 844, 568],
-    [1067, 1068, 1069, 1070, 1071, 867, 857, 573],
-    [1072, 1073, 1074, 1075, 1041, 858, 826, 585],
-    [1076, 1077, 1078, 1079, 1051, 878, 823, 591],
-    [1080, 1081, 1082, 1083, 1046, 868, 836, 596],
-    [1084, 1085, 1086, 1087, 1056, 888, 833, 602],
-    [1088, 1089, 1090, 1091, 1092, 897, 877, 577],
-    [1093, 1094, 1095, 1096, 1097, 907, 887, 581],
-    [1098, 1099, 1100, 1101, 1061, 898, 846, 607],
-    [1102, 1103, 1104, 1105, 1066, 908, 843, 613],
-    [1106, 1107, 1108, 1109, 1071, 866, 856, 618],
-    [1110, 1111, 1112, 1113, 1092, 896, 876, 644],
-    [1114, 1115, 1116, 1117, 1097, 906, 886, 650],
-    [1118, 1119, 1120, 1121, 1122, 919, 854, 624],
-    [1123, 1124, 1125, 1126, 1127, 929, 864, 634],
-    [1128, 1129, 1130, 1131, 1132, 939, 874, 629],
-    [1133, 1134, 1135, 1136, 1137, 949, 884, 639],
-    [1138, 1139, 1140, 1141, 1142, 959, 894, 656],
-    [1143, 1144, 1145, 1146, 1147, 969, 904, 661],
-    [1148, 1149, 1150, 1151, 1122, 918, 853, 666],
-    [1152, 1153, 1154, 1155, 1127, 928, 863, 671],
-    [1156, 1157, 1158, 1159, 1132, 938, 873, 684],
-    [1160, 1161, 1162, 1163, 1137, 948, 883, 694],
-    [1164, 1165, 1166, 1167, 1142, 958, 893, 689],
-    [1168, 1169, 1170, 1171, 1147, 968, 903, 699],
-    [1172, 1173, 1174, 1175, 1176, 937, 917, 676],
-    [1177, 1178, 1179, 1180, 1181, 947, 927, 680],
-    [1182, 1183, 1184, 1185, 1186, 967, 957, 704],
-    [1187, 1188, 1189, 1190, 1191, 979, 914, 708],
-    [1192, 1193, 1194, 1195, 1196, 977, 924, 713],
-    [1197, 1198, 1199, 1200, 1176, 936, 916, 735],
-    [1201, 1202, 1203, 1204, 1181, 946, 926, 741],
-    [1205, 1206, 1207, 1208, 1209, 989, 934, 717],
-    [1210, 1211, 1212, 1213, 1214, 987, 954, 722],
-    [1215, 1216, 1217, 1218, 1219, 999, 944, 726],
-    [1220, 1221, 1222, 1223, 1224, 997, 964, 731],
-    [1225, 1226, 1227, 1228, 1186, 966, 956, 747],
-    [1229, 1230, 1231, 1232, 1191, 978, 913, 753],
-    [1233, 1234, 1235, 1236, 1196, 976, 923, 758],
-    [1237, 1238, 1239, 1240, 1209, 988, 933, 763],
-    [1241, 1242, 1243, 1244, 1219, 998, 943, 768],
-    [1245, 1246, 1247, 1248, 1214, 986, 953, 773],
-    [1249, 1250, 1251, 1252, 1224, 996, 963, 778],
-    [1253, 1254, 1255, 1256, 1257, 1009, 974, 783],
-    [1258, 1259, 1260, 1261, 1257, 1008, 973, 788],
-    [1262, 1263, 1264, 1265, 1266, 1007, 984, 793],
-    [1267, 1268, 1269, 1270, 1271, 1004, 994, 797],
-    [1272, 1273, 1274, 1275, 1266, 1006, 983, 801],
-    [1276, 1277, 1278, 1279, 1271, 1003, 993, 806],
-    [
-      1280, 1281, 1282, 1283, 1284, 1285, 1286, 1070, 1287, 1045, 1288, 1040,
-      1289, 1018, 1013, 574, 549, 544, 517, 511,
-    ],
-    [
-      1290, 1291, 1292, 1293, 1294, 1295, 1296, 1091, 1297, 1060, 1298, 1050,
-      1299, 1031, 1023, 578, 564, 554, 534, 522,
-    ],
-    [
-      1300, 1301, 1302, 1303, 1304, 1305, 1306, 1096, 1307, 1065, 1308, 1055,
-      1309, 1036, 1027, 582, 569, 559, 539, 528,
-    ],
-    [
-      1310, 1311, 1312, 1313, 1314, 1315, 1316, 1175, 1317, 1131, 1318, 1121,
-      1319, 1079, 1075, 677, 630, 625, 592, 586,
-    ],
-    [
-      1320, 1321, 1322, 1323, 1324, 1325, 1326, 1180, 1327, 1136, 1328, 1126,
-      1329, 1087, 1083, 681, 640, 635, 603, 597,
-    ],
-    [
-      1330, 1331, 1332, 1333, 1334, 1335, 1336, 1185, 1337, 1146, 1338, 1141,
-      1339, 1105, 1101, 705, 662, 657, 614, 608,
-    ],
-    [
-      1340, 1341, 1342, 1343, 1344, 1345, 1346, 1195, 1347, 1190, 1348, 1155,
-      1349, 1151, 1109, 714, 709, 672, 667, 619,
-    ],
-    [
-      1350, 1351, 1352, 1353, 1354, 1355, 1356, 1213, 1357, 1208, 1358, 1167,
-      1359, 1159, 1113, 723, 718, 690, 685, 645,
-    ],
-    [
-      1360, 1361, 1362, 1363, 1364, 1365, 1366, 1223, 1367, 1218, 1368, 1171,
-      1369, 1163, 1117, 732, 727, 700, 695, 651,
-    ],
-    [
-      1370, 1371, 1372, 1373, 1374, 1375, 1376, 1265, 1377, 1256, 1378, 1240,
-      1379, 1232, 1200, 794, 784, 764, 754, 736,
-    ],
-    [
-      1380, 1381, 1382, 1383, 1384, 1385, 1386, 1270, 1387, 1261, 1388, 1244,
-      1389, 1236, 1204, 798, 789, 769, 759, 742,
-    ],
-    [
-      1390, 1391, 1392, 1393, 1394, 1395, 1396, 1279, 1397, 1275, 1398, 1252,
-      1399, 1248, 1228, 807, 802, 779, 774, 748,
-    ],
-    [1400, 1401, 1402, 1403, 1289, 1017, 1012, 815],
-    [1404, 1405, 1406, 1407, 1299, 1030, 1022, 812],
-    [1408, 1409, 1410, 1411, 1309, 1035, 1026, 811],
-    [1412, 1413, 1414, 1415, 1288, 1039, 1011, 825],
-    [1416, 1417, 1418, 1419, 1287, 1044, 1016, 835],
-    [1420, 1421, 1422, 1423, 1298, 1049, 1021, 822],
-    [1424, 1425, 1426, 1427, 1308, 1054, 1025, 832],
-    [1428, 1429, 1430, 1431, 1297, 1059, 1029, 845],
-    [1432, 1433, 1434, 1435, 1307, 1064, 1034, 842],
-    [1436, 1437, 1438, 1439, 1286, 1069, 1038, 855],
-    [1440, 1441, 1442, 1443, 1285, 1068, 1043, 865],
-    [1444, 1445, 1446, 1447, 1319, 1078, 1074, 821],
-    [1448, 1449, 1450, 1451, 1329, 1086, 1082, 831],
-    [1452, 1453, 1454, 1455, 1296, 1090, 1048, 875],
-    [1456, 1457, 1458, 1459, 1295, 1089, 1058, 895],
-    [1460, 1461, 1462, 1463, 1306, 1095, 1053, 885],
-    [1464, 1465, 1466, 1467, 1305, 1094, 1063, 905],
-    [1468, 1469, 1470, 1471, 1339, 1104, 1100, 841],
-    [1472, 1473, 1474, 1475, 1318, 1120, 1073, 852],
-    [1476, 1477, 1478, 1479, 1328, 1125, 1081, 862],
-    [1480, 1481, 1482, 1483, 1317, 1130, 1077, 872],
-    [1484, 1485, 1486, 1487, 1327, 1135, 1085, 882],
-    [1488, 1489, 1490, 1491, 1338, 1140, 1099, 892],
-    [1492, 1493, 1494, 1495, 1337, 1145, 1103, 902],
-    [1496, 1497, 1498, 1499, 1349, 1150, 1108, 851],
-    [1500, 1501, 1502, 1503, 1348, 1154, 1107, 861],
-    [1504, 1505, 1506, 1507, 1359, 1158, 1112, 871],
-    [1508, 1509, 1510, 1511, 1358, 1166, 1111, 891],
-    [1512, 1513, 1514, 1515, 1369, 1162, 1116, 881],
-    [1516, 1517, 1518, 1519, 1368, 1170, 1115, 901],
-    [1520, 1521, 1522, 1523, 1316, 1174, 1119, 915],
-    [1524, 1525, 1526, 1527, 1315, 1173, 1129, 935],
-    [1528, 1529, 1530, 1531, 1326, 1179, 1124, 925],
-    [1532, 1533, 1534, 1535, 1325, 1178, 1134, 945],
-    [1536, 1537, 1538, 1539, 1336, 1184, 1139, 955],
-    [1540, 1541, 1542, 1543, 1335, 1183, 1144, 965],
-    [1544, 1545, 1546, 1547, 1347, 1189, 1149, 912],
-    [1548, 1549, 1550, 1551, 1346, 1194, 1153, 922],
-    [1552, 1553, 1554, 1555, 1357, 1207, 1157, 932],
-    [1556, 1557, 1558, 1559, 1367, 1217, 1161, 942],
-    [1560, 1561, 1562, 1563, 1356, 1212, 1165, 952],
-    [1564, 1565, 1566, 1567, 1366, 1222, 1169, 962],
-    [1568, 1569, 1570, 1571, 1345, 1193, 1188, 975],
-    [1572, 1573, 1574, 1575, 1379, 1231, 1199, 911],
-    [1576, 1577, 1578, 1579, 1378, 1239, 1198, 931],
-    [1580, 1581, 1582, 1583, 1389, 1235, 1203, 921],
-    [1584, 1585, 1586, 1587, 1388, 1243, 1202, 941],
-    [1588, 1589, 1590, 1591, 1355, 1211, 1206, 985],
-    [1592, 1593, 1594, 1595, 1365, 1221, 1216, 995],
-    [1596, 1597, 1598, 1599, 1399, 1247, 1227, 951],
-    [1600, 1601, 1602, 1603, 1398, 1251, 1226, 961],
-    [1604, 1605, 1606, 1607, 1377, 1255, 1230, 972],
-    [1608, 1609, 1610, 1611, 1387, 1260, 1234, 971],
-    [1612, 1613, 1614, 1615, 1376, 1264, 1238, 982],
-    [1616, 1617, 1618, 1619, 1386, 1269, 1242, 992],
-    [1620, 1621, 1622, 1623, 1397, 1274, 1246, 981],
-    [1624, 1625, 1626, 1627, 1396, 1278, 1250, 991],
-    [1628, 1629, 1630, 1631, 1375, 1263, 1254, 1005],
-    [1632, 1633, 1634, 1635, 1385, 1268, 1259, 1002],
-    [1636, 1637, 1638, 1639, 1395, 1277, 1273, 1001],
-    [1640, 1641, 1642, 1411, 1643, 1407, 1403, 810],
-    [1644, 1645, 1646, 1447, 1647, 1423, 1415, 820],
-    [1648, 1649, 1650, 1451, 1651, 1427, 1419, 830],
-    [1652, 1653, 1654, 1471, 1655, 1435, 1431, 840],
-    [1656, 1657, 1658, 1499, 1659, 1475, 1439, 850],
-    [1660, 1661, 1662, 1503, 1663, 1479, 1443, 860],
-    [1664, 1665, 1666, 1507, 1667, 1483, 1455, 870],
-    [1668, 1669, 1670, 1515, 1671, 1487, 1463, 880],
-    [1672, 1673, 1674, 1511, 1675, 1491, 1459, 890],
-    [1676, 1677, 1678, 1519, 1679, 1495, 1467, 900],
-    [1680, 1681, 1682, 1575, 1683, 1547, 1523, 910],
-    [1684, 1685, 1686, 1583, 1687, 1551, 1531, 920],
-    [1688, 1689, 1690, 1579, 1691, 1555, 1527, 930],
-    [1692, 1693, 1694, 1587, 1695, 1559, 1535, 940],
-    [1696, 1697, 1698, 1599, 1699, 1563, 1539, 950],
-    [1700, 1701, 1702, 1603, 1703, 1567, 1543, 960],
-    [1704, 1705, 1706, 1611, 1707, 1607, 1571, 970],
-    [1708, 1709, 1710, 1623, 1711, 1615, 1591, 980],
-    [1712, 1713, 1714, 1627, 1715, 1619, 1595, 990],
-    [1716, 1717, 1718, 1639, 1719, 1635, 1631, 1000],
-    [
-      1720, 1721, 1722, 1723, 1724, 1725, 1726, 1727, 1728, 1729, 1730, 1731,
-      1647, 1422, 1414, 1643, 1406, 1402, 1020, 1010,
-    ],
-    [
-      1732, 1733, 1734, 1735, 1736, 1737, 1738, 1739, 1740, 1741, 1742, 1743,
-      1651, 1426, 1418, 1642, 1410, 1401, 1024, 1015,
-    ],
-    [
-      1744, 1745, 1746, 1747, 1748, 1749, 1750, 1751, 1752, 1753, 1754, 1755,
-      1655, 1434, 1430, 1641, 1409, 1405, 1033, 1028,
-    ],
-    [1756, 1757, 1758, 1743, 1759, 1731, 1284, 1400],
-    [1760, 1761, 1762, 1755, 1763, 1729, 1294, 1404],
-    [1764, 1765, 1766, 1753, 1767, 1741, 1304, 1408],
-    [1768, 1769, 1770, 1771, 1730, 1759, 1412, 1283],
-    [1772, 1773, 1774, 1775, 1742, 1758, 1416, 1282],
-    [1776, 1777, 1778, 1779, 1763, 1728, 1293, 1420],
-    [1780, 1781, 1782, 1783, 1767, 1740, 1303, 1424],
-    [1784, 1785, 1786, 1787, 1754, 1762, 1428, 1292],
-    [1788, 1789, 1790, 1791, 1752, 1766, 1432, 1302],
-    [1792, 1793, 1794, 1795, 1796, 1771, 1436, 1281],
-    [1797, 1798, 1799, 1795, 1800, 1775, 1440, 1280],
-    [1801, 1802, 1803, 1804, 1805, 1778, 1452, 1291],
-    [1806, 1807, 1808, 1804, 1809, 1787, 1456, 1290],
-    [1810, 1811, 1812, 1813, 1814, 1782, 1460, 1301],
-    [1815, 1816, 1817, 1813, 1818, 1791, 1464, 1300],
-    [
-      1819, 1820, 1821, 1822, 1823, 1824, 1825, 1826, 1827, 1828, 1796, 1770,
-      1659, 1474, 1438, 1646, 1446, 1413, 1072, 1037,
-    ],
-    [
-      1829, 1830, 1831, 1832, 1833, 1834, 1835, 1836, 1837, 1838, 1800, 1774,
-      1663, 1478, 1442, 1650, 1450, 1417, 1080, 1042,
-    ],
-    [
-      1839, 1840, 1841, 1842, 1843, 1844, 1845, 1846, 1847, 1848, 1805, 1779,
-      1667, 1482, 1454, 1645, 1445, 1421, 1076, 1047,
-    ],
-    [
-      1849, 1850, 1851, 1852, 1853, 1854, 1855, 1856, 1857, 1858, 1814, 1783,
-      1671, 1486, 1462, 1649, 1449, 1425, 1084, 1052,
-    ],
-    [
-      1859, 1860, 1861, 1862, 1863, 1864, 1865, 1866, 1867, 1868, 1809, 1786,
-      1675, 1490, 1458, 1654, 1470, 1429, 1098, 1057,
-    ],
-    [
-      1869, 1870, 1871, 1872, 1873, 1874, 1875, 1876, 1877, 1878, 1818, 1790,
-      1679, 1494, 1466, 1653, 1469, 1433, 1102, 1062,
-    ],
-    [1879, 1880, 1881, 1848, 1882, 1828, 1314, 1444],
-    [1883, 1884, 1885, 1858, 1886, 1838, 1324, 1448],
-    [1887, 1888, 1889, 1878, 1890, 1868, 1334, 1468],
-    [
-      1891, 1892, 1893, 1894, 1895, 1896, 1897, 1898, 1899, 1900, 1799, 1794,
-      1662, 1502, 1658, 1498, 1441, 1437, 1106, 1067,
-    ],
-    [
-      1901, 1902, 1903, 1904, 1905, 1906, 1907, 1908, 1909, 1910, 1808, 1803,
-      1674, 1510, 1666, 1506, 1457, 1453, 1110, 1088,
-    ],
-    [
-      1911, 1912, 1913, 1914, 1915, 1916, 1917, 1918, 1919, 1920, 1817, 1812,
-      1678, 1518, 1670, 1514, 1465, 1461, 1114, 1093,
-    ],
-    [1921, 1922, 1923, 1924, 1882, 1827, 1313, 1472],
-    [1925, 1926, 1927, 1928, 1881, 1847, 1312, 1480],
-    [1929, 1930, 1931, 1932, 1886, 1837, 1323, 1476],
-    [1933, 1934, 1935, 1936, 1885, 1857, 1322, 1484],
-    [1937, 1938, 1939, 1940, 1890, 1867, 1333, 1488],
-    [1941, 1942, 1943, 1944, 1889, 1877, 1332, 1492],
-    [
-      1945, 1946, 1947, 1948, 1949, 1950, 1951, 1952, 1953, 1954, 1955, 1924,
-      1683, 1546, 1522, 1657, 1497, 1473, 1148, 1118,
-    ],
-    [1956, 1957, 1958, 1954, 1959, 1900, 1344, 1496],
-    [1960, 1961, 1962, 1963, 1959, 1899, 1343, 1500],
-    [1964, 1965, 1966, 1967, 1955, 1923, 1520, 1311],
-    [1968, 1969, 1970, 1967, 1971, 1927, 1524, 1310],
-    [
-      1972, 1973, 1974, 1975, 1976, 1977, 1978, 1979, 1980, 1963, 1981, 1932,
-      1687, 1550, 1530, 1661, 1501, 1477, 1152, 1123,
-    ],
-    [
-      1982, 1983, 1984, 1985, 1986, 1987, 1988, 1989, 1990, 1991, 1971, 1928,
-      1691, 1554, 1526, 1665, 1505, 1481, 1156, 1128,
-    ],
-    [1992, 1993, 1994, 1995, 1981, 1931, 1528, 1321],
-    [1996, 1997, 1998, 1995, 1999, 1935, 1532, 1320],
-    [2000, 2001, 2002, 1991, 2003, 1910, 1354, 1504],
-    [2004, 2005, 2006, 2007, 2003, 1909, 1353, 1508],
-    [
-      2008, 2009, 2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 1999, 1936,
-      1695, 1558, 1534, 1669, 1513, 1485, 1160, 1133,
-    ],
-    [
-      2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026, 2007, 2027, 1940,
-      1699, 1562, 1538, 1673, 1509, 1489, 1164, 1138,
-    ],
-    [2028, 2029, 2030, 2017, 2031, 1920, 1364, 1512],
-    [2032, 2033, 2034, 2035, 2031, 1919, 1363, 1516],
-    [2036, 2037, 2038, 2039, 2027, 1939, 1536, 1331],
-    [2040, 2041, 2042, 2039, 2043, 1943, 1540, 1330],
-    [
-      2044, 2045, 2046, 2047, 2048, 2049, 2050, 2051, 2052, 2035, 2043, 1944,
-      1703, 1566, 1542, 1677, 1517, 1493, 1168, 1143,
-    ],
-    [2053, 2054, 2055, 2056, 1953, 1958, 1544, 1342],
-    [2057, 2058, 2059, 2060, 1980, 1962, 1548, 1341],
-    [2061, 2062, 2063, 2064, 1990, 2002, 1552, 1352],
-    [2065, 2066, 2067, 2068, 2026, 2006, 1560, 1351],
-    [2069, 2070, 2071, 2072, 2016, 2030, 1556, 1362],
-    [2073, 2074, 2075, 2076, 2052, 2034, 1564, 1361],
-    [
-      2077, 2078, 2079, 2080, 2081, 2082, 2083, 2084, 2085, 2086, 1970, 1966,
-      1690, 1578, 1682, 1574, 1525, 1521, 1197, 1172,
-    ],
-    [
-      2087, 2088, 2089, 2090, 2091, 2092, 2093, 2094, 2095, 2096, 1998, 1994,
-      1694, 1586, 1686, 1582, 1533, 1529, 1201, 1177,
-    ],
-    [
-      2097, 2098, 2099, 2100, 2101, 2102, 2103, 2104, 2105, 2106, 2042, 2038,
-      1702, 1602, 1698, 1598, 1541, 1537, 1225, 1182,
-    ],
-    [2107, 2108, 2109, 2060, 2110, 2056, 1568, 1340],
-    [2111, 2112, 2113, 2068, 2114, 2064, 1588, 1350],
-    [2115, 2116, 2117, 2076, 2118, 2072, 1592, 1360],
-    [
-      2119, 2120, 2121, 2122, 2123, 2124, 2125, 2126, 2127, 2128, 2110, 2055,
-      1707, 1606, 1570, 1681, 1573, 1545, 1229, 1187,
-    ],
-    [
-      2129, 2130, 2131, 2132, 2133, 2134, 2135, 2136, 2137, 2138, 2109, 2059,
-      1706, 1610, 1569, 1685, 1581, 1549, 1233, 1192,
-    ],
-    [
-      2139, 2140, 2141, 2142, 2143, 2144, 2145, 2146, 2147, 2148, 2114, 2063,
-      1711, 1614, 1590, 1689, 1577, 1553, 1237, 1205,
-    ],
-    [
-      2149, 2150, 2151, 2152, 2153, 2154, 2155, 2156, 2157, 2158, 2118, 2071,
-      1715, 1618, 1594, 1693, 1585, 1557, 1241, 1215,
-    ],
-    [
-      2159, 2160, 2161, 2162, 2163, 2164, 2165, 2166, 2167, 2168, 2113, 2067,
-      1710, 1622, 1589, 1697, 1597, 1561, 1245, 1210,
-    ],
-    [
-      2169, 2170, 2171, 2172, 2173, 2174, 2175, 2176, 2177, 2178, 2117, 2075,
-      1714, 1626, 1593, 1701, 1601, 1565, 1249, 1220,
-    ],
-    [2179, 2180, 2181, 2128, 2182, 2086, 1374, 1572],
-    [2183, 2184, 2185, 2148, 2182, 2085, 1373, 1576],
-    [2186, 2187, 2188, 2138, 2189, 2096, 1384, 1580],
-    [2190, 2191, 2192, 2158, 2189, 2095, 1383, 1584],
-    [2193, 2194, 2195, 2168, 2196, 2106, 1394, 1596],
-    [2197, 2198, 2199, 2178, 2196, 2105, 1393, 1600],
-    [2200, 2201, 2202, 2203, 2181, 2127, 1372, 1604],
-    [2204, 2205, 2206, 2207, 2188, 2137, 1382, 1608],
-    [2208, 2209, 2210, 2211, 2147, 2185, 1612, 1371],
-    [2212, 2213, 2214, 2215, 2157, 2192, 1616, 1381],
-    [2216, 2217, 2218, 2219, 2195, 2167, 1392, 1620],
-    [2220, 2221, 2222, 2223, 2199, 2177, 1391, 1624],
-    [2224, 2225, 2226, 2211, 2227, 2202, 1628, 1370],
-    [2228, 2229, 2230, 2215, 2231, 2206, 1632, 1380],
-    [2232, 2233, 2234, 2222, 2235, 2218, 1636, 1390],
-    [
-      2236, 2237, 2238, 2239, 2240, 2241, 2242, 2243, 2231, 2207, 2227, 2203,
-      1719, 1634, 1630, 1705, 1609, 1605, 1258, 1253,
-    ],
-    [
-      2244, 2245, 2246, 2247, 2248, 2249, 2250, 2251, 2235, 2219, 2226, 2210,
-      1718, 1638, 1629, 1709, 1621, 1613, 1272, 1262,
-    ],
-    [
-      2252, 2253, 2254, 2255, 2256, 2257, 2258, 2259, 2234, 2223, 2230, 2214,
-      1717, 1637, 1633, 1713, 1625, 1617, 1276, 1267,
-    ],
-    [2260, 2261, 2262, 1751, 2263, 1739, 1727, 1640],
-    [2264, 2265, 2266, 1846, 2267, 1826, 1724, 1644],
-    [2268, 2269, 2270, 1856, 2271, 1836, 1736, 1648],
-    [2272, 2273, 2274, 1876, 2275, 1866, 1748, 1652],
-    [2276, 2277, 2278, 1952, 2279, 1898, 1823, 1656],
-    [2280, 2281, 2282, 1979, 2283, 1895, 1833, 1660],
-    [2284, 2285, 2286, 1989, 2287, 1908, 1843, 1664],
-    [2288, 2289, 2290, 2015, 2291, 1918, 1853, 1668],
-    [2292, 2293, 2294, 2025, 2295, 1905, 1863, 1672],
-    [2296, 2297, 2298, 2051, 2299, 1915, 1873, 1676],
-    [2300, 2301, 2302, 2126, 2303, 2084, 1949, 1680],
-    [2304, 2305, 2306, 2136, 2307, 2094, 1976, 1684],
-    [2308, 2309, 2310, 2146, 2311, 2081, 1986, 1688],
-    [2312, 2313, 2314, 2156, 2315, 2091, 2012, 1692],
-    [2316, 2317, 2318, 2166, 2319, 2104, 2022, 1696],
-    [2320, 2321, 2322, 2176, 2323, 2101, 2048, 1700],
-    [2324, 2325, 2326, 2243, 2327, 2133, 2123, 1704],
-    [2328, 2329, 2330, 2251, 2331, 2163, 2143, 1708],
-    [2332, 2333, 2334, 2259, 2335, 2173, 2153, 1712],
-    [2336, 2337, 2338, 2256, 2339, 2248, 2240, 1716],
-    [2340, 2341, 2342, 2343, 2263, 1738, 1726, 1757],
-    [2344, 2345, 2346, 2347, 2262, 1750, 1725, 1761],
-    [2348, 2349, 2350, 2351, 2261, 1749, 1737, 1765],
-    [2352, 2353, 2354, 2355, 2267, 1825, 1723, 1768],
-    [2356, 2357, 2358, 2359, 2271, 1835, 1735, 1772],
-    [2360, 2361, 2362, 2363, 2266, 1845, 1722, 1777],
-    [2364, 2365, 2366, 2367, 2270, 1855, 1734, 1781],
-    [2368, 2369, 2370, 2371, 2275, 1865, 1747, 1784],
-    [2372, 2373, 2374, 2375, 2274, 1875, 1746, 1788],
-    [2376, 2377, 2378, 2379, 2279, 1897, 1822, 1792],
-    [2380, 2381, 2382, 2383, 2283, 1894, 1832, 1797],
-    [2384, 2385, 2386, 2387, 2265, 1844, 1824, 1880],
-    [2388, 2389, 2390, 2391, 2269, 1854, 1834, 1884],
-    [2392, 2393, 2394, 2395, 2287, 1907, 1842, 1801],
-    [2396, 2397, 2398, 2399, 2295, 1904, 1862, 1806],
-    [2400, 2401, 2402, 2403, 2291, 1917, 1852, 1810],
-    [2404, 2405, 2406, 2407, 2299, 1914, 1872, 1815],
-    [2408, 2409, 2410, 2411, 2273, 1874, 1864, 1888],
-    [2412, 2413, 2414, 2415, 2278, 1951, 1821, 1922],
-    [2416, 2417, 2418, 2419, 2282, 1978, 1831, 1930],
-    [2420, 2421, 2422, 2423, 2286, 1988, 1841, 1926],
-    [2424, 2425, 2426, 2427, 2290, 2014, 1851, 1934],
-    [2428, 2429, 2430, 2431, 2294, 2024, 1861, 1938],
-    [2432, 2433, 2434, 2435, 2298, 2050, 1871, 1942],
-    [2436, 2437, 2438, 2439, 2277, 1950, 1896, 1957],
-    [2440, 2441, 2442, 2443, 2281, 1977, 1893, 1961],
-    [2444, 2445, 2446, 2447, 2285, 1987, 1906, 2001],
-    [2448, 2449, 2450, 2451, 2293, 2023, 1903, 2005],
-    [2452, 2453, 2454, 2455, 2289, 2013, 1916, 2029],
-    [2456, 2457, 2458, 2459, 2297, 2049, 1913, 2033],
-    [2460, 2461, 2462, 2463, 2303, 2083, 1948, 1964],
-    [2464, 2465, 2466, 2467, 2311, 2080, 1985, 1968],
-    [2468, 2469, 2470, 2471, 2307, 2093, 1975, 1992],
-    [2472, 2473, 2474, 2475, 2315, 2090, 2011, 1996],
-    [2476, 2477, 2478, 2479, 2319, 2103, 2021, 2036],
-    [2480, 2481, 2482, 2483, 2323, 2100, 2047, 2040],
-    [2484, 2485, 2486, 2487, 2302, 2125, 1947, 2053],
-    [2488, 2489, 2490, 2491, 2306, 2135, 1974, 2057],
-    [2492, 2493, 2494, 2495, 2310, 2145, 1984, 2061],
-    [2496, 2497, 2498, 2499, 2314, 2155, 2010, 2069],
-    [2500, 2501, 2502, 2503, 2318, 2165, 2020, 2065],
-    [2504, 2505, 2506, 2507, 2322, 2175, 2046, 2073],
-    [2508, 2509, 2510, 2511, 2327, 2132, 2122, 2107],
-    [2512, 2513, 2514, 2515, 2301, 2124, 2082, 2180],
-    [2516, 2517, 2518, 2519, 2309, 2144, 2079, 2184],
-    [2520, 2521, 2522, 2523, 2305, 2134, 2092, 2187],
-    [2524, 2525, 2526, 2527, 2313, 2154, 2089, 2191],
-    [2528, 2529, 2530, 2531, 2331, 2162, 2142, 2111],
-    [2532, 2533, 2534, 2535, 2335, 2172, 2152, 2115],
-    [2536, 2537, 2538, 2539, 2317, 2164, 2102, 2194],
-    [2540, 2541, 2542, 2543, 2321, 2174, 2099, 2198],
-    [2544, 2545, 2546, 2547, 2326, 2242, 2121, 2201],
-    [2548, 2549, 2550, 2551, 2325, 2241, 2131, 2205],
-    [2552, 2553, 2554, 2555, 2330, 2250, 2141, 2208],
-    [2556, 2557, 2558, 2559, 2334, 2258, 2151, 2212],
-    [2560, 2561, 2562, 2563, 2329, 2249, 2161, 2217],
-    [2564, 2565, 2566, 2567, 2333, 2257, 2171, 2221],
-    [2568, 2569, 2570, 2571, 2339, 2247, 2239, 2224],
-    [2572, 2573, 2574, 2575, 2338, 2255, 2238, 2228],
-    [2576, 2577, 2578, 2579, 2337, 2254, 2246, 2232],
-    [
-      2580, 2581, 2582, 2583, 2584, 2585, 2586, 2383, 2587, 2379, 2588, 2359,
-      2589, 2355, 2343, 1798, 1793, 1773, 1769, 1756,
-    ],
-    [
-      2590, 2591, 2592, 2593, 2594, 2595, 2596, 2399, 2597, 2395, 2598, 2371,
-      2599, 2363, 2347, 1807, 1802, 1785, 1776, 1760,
-    ],
-    [
-      2600, 2601, 2602, 2603, 2604, 2605, 2606, 2407, 2607, 2403, 2608, 2375,
-      2609, 2367, 2351, 1816, 1811, 1789, 1780, 1764,
-    ],
-    [
-      2610, 2611, 2612, 2613, 2614, 2615, 2616, 2467, 2617, 2463, 2618, 2423,
-      2619, 2415, 2387, 1969, 1965, 1925, 1921, 1879,
-    ],
-    [
-      2620, 2621, 2622, 2623, 2624, 2625, 2626, 2475, 2627, 2471, 2628, 2427,
-      2629, 2419, 2391, 1997, 1993, 1933, 1929, 1883,
-    ],
-    [
-      2630, 2631, 2632, 2633, 2634, 2635, 2636, 2483, 2637, 2479, 2638, 2435,
-      2639, 2431, 2411, 2041, 2037, 1941, 1937, 1887,
-    ],
-    [
-      2640, 2641, 2642, 2643, 2644, 2645, 2646, 2511, 2647, 2491, 2648, 2487,
-      2649, 2443, 2439, 2108, 2058, 2054, 1960, 1956,
-    ],
-    [
-      2650, 2651, 2652, 2653, 2654, 2655, 2656, 2531, 2657, 2503, 2658, 2495,
-      2659, 2451, 2447, 2112, 2066, 2062, 2004, 2000,
-    ],
-    [
-      2660, 2661, 2662, 2663, 2664, 2665, 2666, 2535, 2667, 2507, 2668, 2499,
-      2669, 2459, 2455, 2116, 2074, 2070, 2032, 2028,
-    ],
-    [
-      2670, 2671, 2672, 2673, 2674, 2675, 2676, 2571, 2677, 2555, 2678, 2547,
-      2679, 2519, 2515, 2225, 2209, 2200, 2183, 2179,
-    ],
-    [
-      2680, 2681, 2682, 2683, 2684, 2685, 2686, 2575, 2687, 2559, 2688, 2551,
-      2689, 2527, 2523, 2229, 2213, 2204, 2190, 2186,
-    ],
-    [
-      2690, 2691, 2692, 2693, 2694, 2695, 2696, 2579, 2697, 2567, 2698, 2563,
-      2699, 2543, 2539, 2233, 2220, 2216, 2197, 2193,
-    ],
-    [2700, 2701, 2702, 2703, 2589, 2354, 2342, 1721],
-    [2704, 2705, 2706, 2707, 2588, 2358, 2341, 1733],
-    [2708, 2709, 2710, 2703, 2599, 2362, 2346, 1720],
-    [2711, 2712, 2713, 2707, 2609, 2366, 2350, 1732],
-    [2714, 2715, 2716, 2717, 2598, 2370, 2345, 1745],
-    [2718, 2719, 2720, 2717, 2608, 2374, 2349, 1744],
-    [2721, 2722, 2723, 2724, 2587, 2378, 2353, 1820],
-    [2725, 2726, 2727, 2728, 2586, 2382, 2357, 1830],
-    [2729, 2730, 2731, 2732, 2597, 2394, 2361, 1840],
-    [2733, 2734, 2735, 2736, 2607, 2402, 2365, 1850],
-    [2737, 2738, 2739, 2740, 2596, 2398, 2369, 1860],
-    [2741, 2742, 2743, 2744, 2606, 2406, 2373, 1870],
-    [2745, 2746, 2747, 2748, 2585, 2381, 2377, 1892],
-    [2749, 2750, 2751, 2724, 2619, 2414, 2386, 1819],
-    [2752, 2753, 2754, 2732, 2618, 2422, 2385, 1839],
-    [2755, 2756, 2757, 2728, 2629, 2418, 2390, 1829],
-    [2758, 2759, 2760, 2736, 2628, 2426, 2389, 1849],
-    [2761, 2762, 2763, 2764, 2595, 2397, 2393, 1902],
-    [2765, 2766, 2767, 2768, 2605, 2405, 2401, 1912],
-    [2769, 2770, 2771, 2740, 2639, 2430, 2410, 1859],
-    [2772, 2773, 2774, 2744, 2638, 2434, 2409, 1869],
-    [2775, 2776, 2777, 2748, 2649, 2442, 2438, 1891],
-    [2778, 2779, 2780, 2764, 2659, 2450, 2446, 1901],
-    [2781, 2782, 2783, 2768, 2669, 2458, 2454, 1911],
-    [2784, 2785, 2786, 2787, 2617, 2462, 2413, 1946],
-    [2788, 2789, 2790, 2791, 2627, 2470, 2417, 1973],
-    [2792, 2793, 2794, 2795, 2616, 2466, 2421, 1983],
-    [2796, 2797, 2798, 2799, 2626, 2474, 2425, 2009],
-    [2800, 2801, 2802, 2803, 2637, 2478, 2429, 2019],
-    [2804, 2805, 2806, 2807, 2636, 2482, 2433, 2045],
-    [2808, 2809, 2810, 2787, 2648, 2486, 2437, 1945],
-    [2811, 2812, 2813, 2791, 2647, 2490, 2441, 1972],
-    [2814, 2815, 2816, 2795, 2658, 2494, 2445, 1982],
-    [2817, 2818, 2819, 2799, 2668, 2498, 2453, 2008],
-    [2820, 2821, 2822, 2803, 2657, 2502, 2449, 2018],
-    [2823, 2824, 2825, 2807, 2667, 2506, 2457, 2044],
-    [2826, 2827, 2828, 2829, 2615, 2465, 2461, 2078],
-    [2830, 2831, 2832, 2833, 2625, 2473, 2469, 2088],
-    [2834, 2835, 2836, 2837, 2635, 2481, 2477, 2098],
-    [2838, 2839, 2840, 2841, 2646, 2510, 2485, 2120],
-    [2842, 2843, 2844, 2845, 2645, 2509, 2489, 2130],
-    [2846, 2847, 2848, 2829, 2679, 2518, 2514, 2077],
-    [2849, 2850, 2851, 2833, 2689, 2526, 2522, 2087],
-    [2852, 2853, 2854, 2855, 2656, 2530, 2493, 2140],
-    [2856, 2857, 2858, 2859, 2655, 2529, 2501, 2160],
-    [2860, 2861, 2862, 2863, 2666, 2534, 2497, 2150],
-    [2864, 2865, 2866, 2867, 2665, 2533, 2505, 2170],
-    [2868, 2869, 2870, 2837, 2699, 2542, 2538, 2097],
-    [2871, 2872, 2873, 2841, 2678, 2546, 2513, 2119],
-    [2874, 2875, 2876, 2845, 2688, 2550, 2521, 2129],
-    [2877, 2878, 2879, 2855, 2677, 2554, 2517, 2139],
-    [2880, 2881, 2882, 2863, 2687, 2558, 2525, 2149],
-    [2883, 2884, 2885, 2859, 2698, 2562, 2537, 2159],
-    [2886, 2887, 2888, 2867, 2697, 2566, 2541, 2169],
-    [2889, 2890, 2891, 2892, 2676, 2570, 2545, 2237],
-    [2893, 2894, 2895, 2892, 2686, 2574, 2549, 2236],
-    [2896, 2897, 2898, 2899, 2675, 2569, 2553, 2245],
-    [2900, 2901, 2902, 2903, 2685, 2573, 2557, 2253],
-    [2904, 2905, 2906, 2899, 2696, 2578, 2561, 2244],
-    [2907, 2908, 2909, 2903, 2695, 2577, 2565, 2252],
-    [
-      2910, 2911, 2912, 2913, 2914, 2915, 2916, 2917, 2918, 2919, 2720, 2716,
-      2713, 2706, 2710, 2702, 2348, 2344, 2340, 2260,
-    ],
-    [
-      2920, 2921, 2922, 2923, 2924, 2925, 2926, 2927, 2928, 2929, 2754, 2731,
-      2751, 2723, 2709, 2701, 2384, 2360, 2352, 2264,
-    ],
-    [
-      2930, 2931, 2932, 2933, 2934, 2935, 2936, 2937, 2938, 2939, 2760, 2735,
-      2757, 2727, 2712, 2705, 2388, 2364, 2356, 2268,
-    ],
-    [
-      2940, 2941, 2942, 2943, 2944, 2945, 2946, 2947, 2948, 2949, 2774, 2743,
-      2771, 2739, 2719, 2715, 2408, 2372, 2368, 2272,
-    ],
-    [
-      2950, 2951, 2952, 2953, 2954, 2955, 2956, 2957, 2958, 2959, 2810, 2786,
-      2777, 2747, 2750, 2722, 2436, 2412, 2376, 2276,
-    ],
-    [
-      2960, 2961, 2962, 2963, 2964, 2965, 2966, 2967, 2968, 2969, 2813, 2790,
-      2776, 2746, 2756, 2726, 2440, 2416, 2380, 2280,
-    ],
-    [
-      2970, 2971, 2972, 2973, 2974, 2975, 2976, 2977, 2978, 2979, 2816, 2794,
-      2780, 2763, 2753, 2730, 2444, 2420, 2392, 2284,
-    ],
-    [
-      2980, 2981, 2982, 2983, 2984, 2985, 2986, 2987, 2988, 2989, 2819, 2798,
-      2783, 2767, 2759, 2734, 2452, 2424, 2400, 2288,
-    ],
-    [
-      2990, 2991, 2992, 2993, 2994, 2995, 2996, 2997, 2998, 2999, 2822, 2802,
-      2779, 2762, 2770, 2738, 2448, 2428, 2396, 2292,
-    ],
-    [
-      3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009, 2825, 2806,
-      2782, 2766, 2773, 2742, 2456, 2432, 2404, 2296,
-    ],
-    [
-      3010, 3011, 3012, 3013, 3014, 3015, 3016, 3017, 3018, 3019, 2873, 2840,
-      2848, 2828, 2809, 2785, 2512, 2484, 2460, 2300,
-    ],
-    [
-      3020, 3021, 3022, 3023, 3024, 3025, 3026, 3027, 3028, 3029, 2876, 2844,
-      2851, 2832, 2812, 2789, 2520, 2488, 2468, 2304,
-    ],
-    [
-      3030, 3031, 3032, 3033, 3034, 3035, 3036, 3037, 3038, 3039, 2879, 2854,
-      2847, 2827, 2815, 2793, 2516, 2492, 2464, 2308,
-    ],
-    [
-      3040, 3041, 3042, 3043, 3044, 3045, 3046, 3047, 3048, 3049, 2882, 2862,
-      2850, 2831, 2818, 2797, 2524, 2496, 2472, 2312,
-    ],
-    [
-      3050, 3051, 3052, 3053, 3054, 3055, 3056, 3057, 3058, 3059, 2885, 2858,
-      2870, 2836, 2821, 2801, 2536, 2500, 2476, 2316,
-    ],
-    [
-      3060, 3061, 3062, 3063, 3064, 3065, 3066, 3067, 3068, 3069, 2888, 2866,
-      2869, 2835, 2824, 2805, 2540, 2504, 2480, 2320,
-    ],
-    [
-      3070, 3071, 3072, 3073, 3074, 3075, 3076, 3077, 3078, 3079, 2895, 2891,
-      2875, 2843, 2872, 2839, 2548, 2544, 2508, 2324,
-    ],
-    [
-      3080, 3081, 3082, 3083, 3084, 3085, 3086, 3087, 3088, 3089, 2906, 2898,
-      2884, 2857, 2878, 2853, 2560, 2552, 2528, 2328,
-    ],
-    [
-      3090, 3091, 3092, 3093, 3094, 3095, 3096, 3097, 3098, 3099, 2909, 2902,
-      2887, 2865, 2881, 2861, 2564, 2556, 2532, 2332,
-    ],
-    [
-      3100, 3101, 3102, 3103, 3104, 3105, 3106, 3107, 3108, 3109, 2908, 2901,
-      2905, 2897, 2894, 2890, 2576, 2572, 2568, 2336,
-    ],
-    [3110, 3111, 3112, 2929, 3113, 2919, 2584, 2700],
-    [3114, 3115, 3116, 2939, 3113, 2918, 2583, 2704],
-    [3117, 3118, 3119, 2927, 3120, 2917, 2594, 2708],
-    [3121, 3122, 3123, 2937, 3124, 2914, 2604, 2711],
-    [3125, 3126, 3127, 2949, 3120, 2916, 2593, 2714],
-    [3128, 3129, 3130, 2947, 3124, 2913, 2603, 2718],
-    [3131, 3132, 3133, 2959, 3112, 2928, 2582, 2721],
-    [3134, 3135, 3136, 2969, 3116, 2938, 2581, 2725],
-    [3137, 3138, 3139, 2979, 3119, 2926, 2592, 2729],
-    [3140, 3141, 3142, 2989, 3123, 2936, 2602, 2733],
-    [3143, 3144, 3145, 2999, 3127, 2948, 2591, 2737],
-    [3146, 3147, 3148, 3009, 3130, 2946, 2601, 2741],
-    [3149, 3150, 3136, 2968, 3133, 2958, 2580, 2745],
-    [3151, 3152, 3145, 2998, 3139, 2978, 2590, 2761],
-    [3153, 3154, 3148, 3008, 3142, 2988, 2600, 2765],
-    [3155, 3156, 3157, 2957, 3158, 2924, 2614, 2749],
-    [3159, 3160, 3161, 2977, 3158, 2923, 2613, 2752],
-    [3162, 3163, 3164, 2967, 3165, 2934, 2624, 2755],
-    [3166, 3167, 3168, 2987, 3165, 2933, 2623, 2758],
-    [3169, 3170, 3171, 2997, 3172, 2944, 2634, 2769],
-    [3173, 3174, 3175, 3007, 3172, 2943, 2633, 2772],
-    [3176, 3177, 3178, 2964, 3179, 2954, 2644, 2775],
-    [3180, 3181, 3182, 3019, 3157, 2956, 2612, 2784],
-    [3183, 3184, 3185, 3039, 3161, 2976, 2611, 2792],
-    [3186, 3187, 3188, 3029, 3164, 2966, 2622, 2788],
-    [3189, 3190, 3191, 3049, 3168, 2986, 2621, 2796],
-    [3192, 3193, 3194, 2994, 3195, 2974, 2654, 2778],
-    [3196, 3197, 3198, 3004, 3199, 2984, 2664, 2781],
-    [3200, 3201, 3202, 3059, 3171, 2996, 2632, 2800],
-    [3203, 3204, 3205, 3069, 3175, 3006, 2631, 2804],
-    [3206, 3207, 3208, 3017, 3179, 2953, 2643, 2808],
-    [3209, 3210, 3211, 3027, 3178, 2963, 2642, 2811],
-    [3212, 3213, 3185, 3038, 3182, 3018, 2610, 2826],
-    [3214, 3215, 3191, 3048, 3188, 3028, 2620, 2830],
-    [3216, 3217, 3218, 3037, 3195, 2973, 2653, 2814],
-    [3219, 3220, 3221, 3057, 3194, 2993, 2652, 2820],
-    [3222, 3223, 3224, 3047, 3199, 2983, 2663, 2817],
-    [3225, 3226, 3227, 3067, 3198, 3003, 2662, 2823],
-    [3228, 3229, 3205, 3068, 3202, 3058, 2630, 2834],
-    [3230, 3231, 3232, 3079, 3208, 3016, 2641, 2838],
-    [3233, 3234, 3232, 3078, 3211, 3026, 2640, 2842],
-    [3235, 3236, 3237, 3089, 3218, 3036, 2651, 2852],
-    [3238, 3239, 3237, 3088, 3221, 3056, 2650, 2856],
-    [3240, 3241, 3242, 3099, 3224, 3046, 2661, 2860],
-    [3243, 3244, 3242, 3098, 3227, 3066, 2660, 2864],
-    [3245, 3246, 3247, 3034, 3248, 3014, 2674, 2846],
-    [3249, 3250, 3251, 3044, 3252, 3024, 2684, 2849],
-    [3253, 3254, 3255, 3064, 3256, 3054, 2694, 2868],
-    [3257, 3258, 3259, 3077, 3248, 3013, 2673, 2871],
-    [3260, 3261, 3262, 3074, 3252, 3023, 2683, 2874],
-    [3263, 3264, 3265, 3087, 3247, 3033, 2672, 2877],
-    [3266, 3267, 3268, 3097, 3251, 3043, 2682, 2880],
-    [3269, 3270, 3271, 3084, 3256, 3053, 2693, 2883],
-    [3272, 3273, 3274, 3094, 3255, 3063, 2692, 2886],
-    [3275, 3276, 3277, 3109, 3259, 3076, 2671, 2889],
-    [3278, 3279, 3280, 3107, 3262, 3073, 2681, 2893],
-    [3281, 3282, 3277, 3108, 3265, 3086, 2670, 2896],
-    [3283, 3284, 3280, 3106, 3268, 3096, 2680, 2900],
-    [3285, 3286, 3287, 3104, 3271, 3083, 2691, 2904],
-    [3288, 3289, 3287, 3103, 3274, 3093, 2690, 2907],
-    [3290, 3291, 3292, 3293, 2925, 3118, 3111, 2915],
-    [3294, 3295, 3296, 3297, 2935, 3122, 3115, 2912],
-    [3298, 3299, 3300, 3301, 2945, 3129, 3126, 2911],
-    [3302, 3303, 3304, 3305, 3156, 2955, 2922, 3132],
-    [3306, 3307, 3308, 3309, 3163, 2965, 2932, 3135],
-    [3310, 3311, 3312, 3313, 2975, 3160, 3138, 2921],
-    [3314, 3315, 3316, 3317, 2985, 3167, 3141, 2931],
-    [3318, 3319, 3320, 3321, 3170, 2995, 2942, 3144],
-    [3322, 3323, 3324, 3325, 3174, 3005, 2941, 3147],
-    [3326, 3327, 3328, 3329, 3177, 2962, 2952, 3150],
-    [3330, 3331, 3332, 3333, 3193, 2992, 2972, 3152],
-    [3334, 3335, 3336, 3337, 3197, 3002, 2982, 3154],
-    [3338, 3339, 3340, 3341, 3015, 3207, 3181, 2951],
-    [3342, 3343, 3344, 3345, 3025, 3210, 3187, 2961],
-    [3346, 3347, 3348, 3349, 3035, 3217, 3184, 2971],
-    [3350, 3351, 3352, 3353, 3045, 3223, 3190, 2981],
-    [3354, 3355, 3356, 3357, 3055, 3220, 3201, 2991],
-    [3358, 3359, 3360, 3361, 3065, 3226, 3204, 3001],
-    [3362, 3363, 3364, 3365, 3246, 3032, 3012, 3213],
-    [3366, 3367, 3368, 3369, 3250, 3042, 3022, 3215],
-    [3370, 3371, 3372, 3373, 3254, 3062, 3052, 3229],
-    [3374, 3375, 3376, 3377, 3258, 3075, 3011, 3231],
-    [3378, 3379, 3380, 3381, 3261, 3072, 3021, 3234],
-    [3382, 3383, 3384, 3385, 3085, 3264, 3236, 3031],
-    [3386, 3387, 3388, 3389, 3095, 3267, 3241, 3041],
-    [3390, 3391, 3392, 3393, 3270, 3082, 3051, 3239],
-    [3394, 3395, 3396, 3397, 3273, 3092, 3061, 3244],
-    [3398, 3399, 3400, 3401, 3105, 3279, 3276, 3071],
-    [3402, 3403, 3404, 3405, 3102, 3286, 3282, 3081],
-    [3406, 3407, 3408, 3409, 3101, 3289, 3284, 3091],
-    [3410, 3411, 3412, 3301, 3413, 3297, 3293, 2910],
-    [3414, 3415, 3416, 3313, 3417, 3304, 3290, 2920],
-    [3418, 3419, 3420, 3317, 3421, 3308, 3294, 2930],
-    [3422, 3423, 3424, 3324, 3425, 3320, 3298, 2940],
-    [3426, 3427, 3428, 3341, 3429, 3328, 3303, 2950],
-    [3430, 3431, 3432, 3345, 3433, 3327, 3307, 2960],
-    [3434, 3435, 3436, 3349, 3437, 3332, 3310, 2970],
-    [3438, 3439, 3440, 3353, 3441, 3336, 3314, 2980],
-    [3442, 3443, 3444, 3357, 3445, 3331, 3319, 2990],
-    [3446, 3447, 3448, 3361, 3449, 3335, 3323, 3000],
-    [3450, 3451, 3452, 3376, 3453, 3364, 3338, 3010],
-    [3454, 3455, 3456, 3380, 3457, 3368, 3342, 3020],
-    [3458, 3459, 3460, 3385, 3461, 3363, 3346, 3030],
-    [3462, 3463, 3464, 3389, 3465, 3367, 3350, 3040],
-    [3466, 3467, 3468, 3392, 3469, 3372, 3354, 3050],
-    [3470, 3471, 3472, 3396, 3473, 3371, 3358, 3060],
-    [3474, 3475, 3476, 3401, 3477, 3379, 3375, 3070],
-    [3478, 3479, 3480, 3405, 3481, 3391, 3382, 3080],
-    [3482, 3483, 3484, 3409, 3485, 3395, 3386, 3090],
-    [3486, 3487, 3488, 3406, 3489, 3402, 3398, 3100],
-    [
-      3490, 3491, 3492, 3493, 3494, 3433, 3429, 3329, 3421, 3309, 3417, 3305,
-      3413, 3296, 3292, 3149, 3134, 3131, 3114, 3110,
-    ],
-    [
-      3495, 3496, 3497, 3498, 3499, 3445, 3437, 3333, 3425, 3321, 3416, 3312,
-      3412, 3300, 3291, 3151, 3143, 3137, 3125, 3117,
-    ],
-    [
-      3500, 3501, 3502, 3503, 3504, 3449, 3441, 3337, 3424, 3325, 3420, 3316,
-      3411, 3299, 3295, 3153, 3146, 3140, 3128, 3121,
-    ],
-    [
-      3505, 3506, 3507, 3508, 3509, 3461, 3453, 3365, 3436, 3348, 3428, 3340,
-      3415, 3311, 3302, 3212, 3183, 3180, 3159, 3155,
-    ],
-    [
-      3510, 3511, 3512, 3513, 3514, 3465, 3457, 3369, 3440, 3352, 3432, 3344,
-      3419, 3315, 3306, 3214, 3189, 3186, 3166, 3162,
-    ],
-    [
-      3515, 3516, 3517, 3518, 3519, 3473, 3469, 3373, 3448, 3360, 3444, 3356,
-      3423, 3322, 3318, 3228, 3203, 3200, 3173, 3169,
-    ],
-    [
-      3520, 3521, 3522, 3523, 3524, 3477, 3456, 3381, 3452, 3377, 3431, 3343,
-      3427, 3339, 3326, 3233, 3230, 3209, 3206, 3176,
-    ],
-    [
-      3525, 3526, 3527, 3528, 3529, 3481, 3468, 3393, 3460, 3384, 3443, 3355,
-      3435, 3347, 3330, 3238, 3235, 3219, 3216, 3192,
-    ],
-    [
-      3530, 3531, 3532, 3533, 3534, 3485, 3472, 3397, 3464, 3388, 3447, 3359,
-      3439, 3351, 3334, 3243, 3240, 3225, 3222, 3196,
-    ],
-    [
-      3535, 3536, 3537, 3538, 3539, 3489, 3480, 3404, 3476, 3400, 3459, 3383,
-      3451, 3374, 3362, 3281, 3275, 3263, 3257, 3245,
-    ],
-    [
-      3540, 3541, 3542, 3543, 3544, 3488, 3484, 3408, 3475, 3399, 3463, 3387,
-      3455, 3378, 3366, 3283, 3278, 3266, 3260, 3249,
-    ],
-    [
-      3545, 3546, 3547, 3548, 3549, 3487, 3483, 3407, 3479, 3403, 3471, 3394,
-      3467, 3390, 3370, 3288, 3285, 3272, 3269, 3253,
-    ],
-    [3550, 3551, 3552, 3504, 3553, 3499, 3494, 3410],
-    [3554, 3555, 3556, 3509, 3553, 3498, 3493, 3414],
-    [3557, 3558, 3559, 3514, 3552, 3503, 3492, 3418],
-    [3560, 3561, 3562, 3519, 3551, 3502, 3497, 3422],
-    [3563, 3564, 3565, 3524, 3556, 3508, 3491, 3426],
-    [3566, 3567, 3565, 3523, 3559, 3513, 3490, 3430],
-    [3568, 3569, 3570, 3529, 3555, 3507, 3496, 3434],
-    [3571, 3572, 3573, 3534, 3558, 3512, 3501, 3438],
-    [3574, 3575, 3570, 3528, 3562, 3518, 3495, 3442],
-    [3576, 3577, 3573, 3533, 3561, 3517, 3500, 3446],
-    [3578, 3579, 3580, 3539, 3564, 3522, 3506, 3450],
-    [3581, 3582, 3583, 3544, 3567, 3521, 3511, 3454],
-    [3584, 3585, 3580, 3538, 3569, 3527, 3505, 3458],
-    [3586, 3587, 3583, 3543, 3572, 3532, 3510, 3462],
-    [3588, 3589, 3590, 3549, 3575, 3526, 3516, 3466],
-    [3591, 3592, 3590, 3548, 3577, 3531, 3515, 3470],
-    [3593, 3594, 3582, 3542, 3579, 3537, 3520, 3474],
-    [3595, 3596, 3589, 3547, 3585, 3536, 3525, 3478],
-    [3597, 3598, 3592, 3546, 3587, 3541, 3530, 3482],
-    [3599, 3598, 3596, 3545, 3594, 3540, 3535, 3486],
-    [
-      3599, 3597, 3595, 3591, 3588, 3593, 3586, 3581, 3584, 3578, 3576, 3571,
-      3574, 3568, 3566, 3563, 3560, 3557, 3554, 3550,
-    ],
-  ],
-}
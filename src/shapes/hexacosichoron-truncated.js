@@ -1,10037 +0,0 @@
-export default {
-  vertices: [
-    [
-      -0.30901699437494745, -0.05138365755224772, -0.03633373269736172,
-      -0.014856199521519647,
-    ],
-    [
-      -0.30901699437494745, -0.05138365755224772, 0.00530102015935462,
-      0.038894035290988366,
-    ],
-    [
-      -0.30901699437494745, -0.05138365755224772, 0.031032712538007094,
-      -0.02403783576946872,
-    ],
-    [
-      -0.30901699437494745, -0.012130036114900912, -0.050211983649600486,
-      0.038894035290988366,
-    ],
-    [
-      -0.30901699437494745, -0.012130036114900912, -0.00857723079288416,
-      -0.06293187106045708,
-    ],
-    [
-      -0.30901699437494745, -0.012130036114900912, 0.05878921444248465,
-      0.02403783576946872,
-    ],
-    [
-      -0.30901699437494745, 0.012130036114900912, -0.05878921444248465,
-      -0.02403783576946872,
-    ],
-    [
-      -0.30901699437494745, 0.012130036114900912, 0.00857723079288416,
-      0.06293187106045708,
-    ],
-    [
-      -0.30901699437494745, 0.012130036114900912, 0.050211983649600486,
-      -0.038894035290988366,
-    ],
-    [
-      -0.30901699437494745, 0.05138365755224772, -0.031032712538007094,
-      0.02403783576946872,
-    ],
-    [
-      -0.30901699437494745, 0.05138365755224772, -0.00530102015935462,
-      -0.038894035290988366,
-    ],
-    [
-      -0.30901699437494745, 0.05138365755224772, 0.03633373269736172,
-      0.014856199521519647,
-    ],
-    [
-      -0.28800715552629363, -0.10276731510449544, -0.07266746539472344,
-      -0.029712399043039295,
-    ],
-    [
-      -0.28800715552629363, -0.10276731510449544, 0.01060204031870924,
-      0.07778807058197673,
-    ],
-    [
-      -0.28800715552629363, -0.10276731510449544, 0.06206542507601419,
-      -0.04807567153893744,
-    ],
-    [
-      -0.28800715552629363, -0.024260072229801824, -0.10042396729920097,
-      0.07778807058197673,
-    ],
-    [
-      -0.28800715552629363, -0.024260072229801824, -0.01715446158576832,
-      -0.12586374212091417,
-    ],
-    [
-      -0.28800715552629363, -0.024260072229801824, 0.1175784288849693,
-      0.04807567153893744,
-    ],
-    [
-      -0.28800715552629363, 0.024260072229801824, -0.1175784288849693,
-      -0.04807567153893744,
-    ],
-    [
-      -0.28800715552629363, 0.024260072229801824, 0.01715446158576832,
-      0.12586374212091417,
-    ],
-    [
-      -0.28800715552629363, 0.024260072229801824, 0.10042396729920097,
-      -0.07778807058197673,
-    ],
-    [
-      -0.28800715552629363, 0.10276731510449544, -0.06206542507601419,
-      0.04807567153893744,
-    ],
-    [
-      -0.28800715552629363, 0.10276731510449544, -0.01060204031870924,
-      -0.07778807058197673,
-    ],
-    [
-      -0.28800715552629363, 0.10276731510449544, 0.07266746539472344,
-      0.029712399043039295,
-    ],
-    [
-      -0.26699731667763993, -0.15415097265674316, -0.0673664452353688,
-      0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, -0.15415097265674316, -0.041634752856716334,
-      -0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, -0.15415097265674316, -0.025731692378652474,
-      0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, -0.15415097265674316, 0.025731692378652474,
-      -0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, -0.15415097265674316, 0.041634752856716334,
-      0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, -0.15415097265674316, 0.0673664452353688,
-      -0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, -0.11489735121939634, -0.12287944904432392,
-      0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, -0.11489735121939634, -0.08124469618760757,
-      -0.09264427010349638,
-    ],
-    [
-      -0.26699731667763993, -0.11489735121939634, -0.039609943330891254,
-      0.1166821058729651,
-    ],
-    [
-      -0.26699731667763993, -0.11489735121939634, 0.053488194283130036,
-      -0.11100754259939452,
-    ],
-    [
-      -0.26699731667763993, -0.11489735121939634, 0.0693912547611939,
-      0.10182590635144545,
-    ],
-    [
-      -0.26699731667763993, -0.11489735121939634, 0.12085463951849884,
-      -0.02403783576946872,
-    ],
-    [
-      -0.26699731667763993, -0.0906372789895945, -0.1314566798372081,
-      -0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, -0.0906372789895945, 0.0191792711115934,
-      0.1407199416424338,
-    ],
-    [
-      -0.26699731667763993, -0.0906372789895945, 0.11227740872561467,
-      -0.0869697068299258,
-    ],
-    [
-      -0.26699731667763993, -0.07564372978204953, -0.13675769999656268,
-      0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, -0.07564372978204953, -0.09512294713984637,
-      0.1166821058729651,
-    ],
-    [
-      -0.26699731667763993, -0.07564372978204953, -0.053488194283130036,
-      -0.1407199416424338,
-    ],
-    [
-      -0.26699731667763993, -0.07564372978204953, 0.013878250952238779,
-      -0.1499015778903829,
-    ],
-    [
-      -0.26699731667763993, -0.07564372978204953, 0.12287944904432392,
-      0.0869697068299258,
-    ],
-    [
-      -0.26699731667763993, -0.07564372978204953, 0.14861114142297638,
-      0.02403783576946872,
-    ],
-    [
-      -0.26699731667763993, -0.027123585322445888, -0.153912161582331,
-      -0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, -0.027123585322445888, 0.022455481745122935,
-      0.1647577774119025,
-    ],
-    [
-      -0.26699731667763993, -0.027123585322445888, 0.1314566798372081,
-      -0.10182590635144545,
-    ],
-    [
-      -0.26699731667763993, -0.012130036114900912, -0.15921318174168564,
-      0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, -0.012130036114900912, -0.09184673650631683,
-      0.1407199416424338,
-    ],
-    [
-      -0.26699731667763993, -0.012130036114900912, -0.07594367602825297,
-      -0.1499015778903829,
-    ],
-    [
-      -0.26699731667763993, -0.012130036114900912, 0.033057522063832175,
-      -0.1647577774119025,
-    ],
-    [
-      -0.26699731667763993, -0.012130036114900912, 0.12615565967785347,
-      0.11100754259939452,
-    ],
-    [
-      -0.26699731667763993, -0.012130036114900912, 0.16779041253456978,
-      0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, 0.012130036114900912, -0.16779041253456978,
-      -0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, 0.012130036114900912, -0.12615565967785347,
-      -0.11100754259939452,
-    ],
-    [
-      -0.26699731667763993, 0.012130036114900912, -0.033057522063832175,
-      0.1647577774119025,
-    ],
-    [
-      -0.26699731667763993, 0.012130036114900912, 0.07594367602825297,
-      0.1499015778903829,
-    ],
-    [
-      -0.26699731667763993, 0.012130036114900912, 0.09184673650631683,
-      -0.1407199416424338,
-    ],
-    [
-      -0.26699731667763993, 0.012130036114900912, 0.15921318174168564,
-      -0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, 0.027123585322445888, -0.1314566798372081,
-      0.10182590635144545,
-    ],
-    [
-      -0.26699731667763993, 0.027123585322445888, -0.022455481745122935,
-      -0.1647577774119025,
-    ],
-    [
-      -0.26699731667763993, 0.027123585322445888, 0.153912161582331,
-      0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, 0.07564372978204953, -0.14861114142297638,
-      -0.02403783576946872,
-    ],
-    [
-      -0.26699731667763993, 0.07564372978204953, -0.12287944904432392,
-      -0.0869697068299258,
-    ],
-    [
-      -0.26699731667763993, 0.07564372978204953, -0.013878250952238779,
-      0.1499015778903829,
-    ],
-    [
-      -0.26699731667763993, 0.07564372978204953, 0.053488194283130036,
-      0.1407199416424338,
-    ],
-    [
-      -0.26699731667763993, 0.07564372978204953, 0.09512294713984637,
-      -0.1166821058729651,
-    ],
-    [
-      -0.26699731667763993, 0.07564372978204953, 0.13675769999656268,
-      -0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, 0.0906372789895945, -0.11227740872561467,
-      0.0869697068299258,
-    ],
-    [
-      -0.26699731667763993, 0.0906372789895945, -0.0191792711115934,
-      -0.1407199416424338,
-    ],
-    [
-      -0.26699731667763993, 0.0906372789895945, 0.1314566798372081,
-      0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, 0.11489735121939634, -0.12085463951849884,
-      0.02403783576946872,
-    ],
-    [
-      -0.26699731667763993, 0.11489735121939634, -0.0693912547611939,
-      -0.10182590635144545,
-    ],
-    [
-      -0.26699731667763993, 0.11489735121939634, -0.053488194283130036,
-      0.11100754259939452,
-    ],
-    [
-      -0.26699731667763993, 0.11489735121939634, 0.039609943330891254,
-      -0.1166821058729651,
-    ],
-    [
-      -0.26699731667763993, 0.11489735121939634, 0.08124469618760757,
-      0.09264427010349638,
-    ],
-    [
-      -0.26699731667763993, 0.11489735121939634, 0.12287944904432392,
-      -0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, 0.15415097265674316, -0.0673664452353688,
-      0.009181636247949067,
-    ],
-    [
-      -0.26699731667763993, 0.15415097265674316, -0.041634752856716334,
-      -0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, 0.15415097265674316, -0.025731692378652474,
-      0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, 0.15415097265674316, 0.025731692378652474,
-      -0.06293187106045708,
-    ],
-    [
-      -0.26699731667763993, 0.15415097265674316, 0.041634752856716334,
-      0.05375023481250801,
-    ],
-    [
-      -0.26699731667763993, 0.15415097265674316, 0.0673664452353688,
-      -0.009181636247949067,
-    ],
-    [
-      -0.23300268332236013, -0.19803785560521836, -0.07266746539472344,
-      -0.029712399043039295,
-    ],
-    [
-      -0.23300268332236013, -0.19803785560521836, 0.01060204031870924,
-      0.07778807058197673,
-    ],
-    [
-      -0.23300268332236013, -0.19803785560521836, 0.06206542507601419,
-      -0.04807567153893744,
-    ],
-    [
-      -0.23300268332236013, -0.17377778337541655, -0.12287944904432392,
-      0.009181636247949067,
-    ],
-    [
-      -0.23300268332236013, -0.17377778337541655, -0.08124469618760757,
-      -0.09264427010349638,
-    ],
-    [
-      -0.23300268332236013, -0.17377778337541655, -0.039609943330891254,
-      0.1166821058729651,
-    ],
-    [
-      -0.23300268332236013, -0.17377778337541655, 0.053488194283130036,
-      -0.11100754259939452,
-    ],
-    [
-      -0.23300268332236013, -0.17377778337541655, 0.0693912547611939,
-      0.10182590635144545,
-    ],
-    [
-      -0.23300268332236013, -0.17377778337541655, 0.12085463951849884,
-      -0.02403783576946872,
-    ],
-    [
-      -0.23300268332236013, -0.13452416193806976, -0.16248939237521515,
-      -0.029712399043039295,
-    ],
-    [
-      -0.23300268332236013, -0.13452416193806976, -0.13675769999656268,
-      -0.09264427010349638,
-    ],
-    [
-      -0.23300268332236013, -0.13452416193806976, -0.011853441426413699,
-      0.1647577774119025,
-    ],
-    [
-      -0.23300268332236013, -0.13452416193806976, 0.055513003808955116,
-      0.15557614116395346,
-    ],
-    [
-      -0.23300268332236013, -0.13452416193806976, 0.10697638856626007,
-      -0.12586374212091417,
-    ],
-    [
-      -0.23300268332236013, -0.13452416193806976, 0.14861114142297638,
-      -0.07211350730840616,
-    ],
-    [
-      -0.23300268332236013, -0.09527054050072295, -0.1506359509488015,
-      0.1166821058729651,
-    ],
-    [
-      -0.23300268332236013, -0.09527054050072295, -0.025731692378652474,
-      -0.18879561318137122,
-    ],
-    [
-      -0.23300268332236013, -0.09527054050072295, 0.17636764332745397,
-      0.07211350730840616,
-    ],
-    [
-      -0.23300268332236013, -0.056016919063376136, -0.19024589427969274,
-      0.07778807058197673,
-    ],
-    [
-      -0.23300268332236013, -0.056016919063376136, -0.12287944904432392,
-      0.1647577774119025,
-    ],
-    [
-      -0.23300268332236013, -0.056016919063376136, -0.08124469618760757,
-      -0.18879561318137122,
-    ],
-    [
-      -0.23300268332236013, -0.056016919063376136, 0.027756501904477558,
-      -0.2036518127028909,
-    ],
-    [
-      -0.23300268332236013, -0.056016919063376136, 0.16248939237521515,
-      0.12586374212091417,
-    ],
-    [
-      -0.23300268332236013, -0.056016919063376136, 0.2041241452319315,
-      0.02403783576946872,
-    ],
-    [
-      -0.23300268332236013, -0.007496774603772488, -0.20740035586546107,
-      -0.04807567153893744,
-    ],
-    [
-      -0.23300268332236013, -0.007496774603772488, -0.18166866348680855,
-      -0.11100754259939452,
-    ],
-    [
-      -0.23300268332236013, -0.007496774603772488, -0.00530102015935462,
-      0.21283344895083994,
-    ],
-    [
-      -0.23300268332236013, -0.007496774603772488, 0.06206542507601419,
-      0.2036518127028909,
-    ],
-    [
-      -0.23300268332236013, -0.007496774603772488, 0.14533493078944687,
-      -0.15557614116395346,
-    ],
-    [
-      -0.23300268332236013, -0.007496774603772488, 0.18696968364616318,
-      -0.10182590635144545,
-    ],
-    [
-      -0.23300268332236013, 0.007496774603772488, -0.18696968364616318,
-      0.10182590635144545,
-    ],
-    [
-      -0.23300268332236013, 0.007496774603772488, -0.14533493078944687,
-      0.15557614116395346,
-    ],
-    [
-      -0.23300268332236013, 0.007496774603772488, -0.06206542507601419,
-      -0.2036518127028909,
-    ],
-    [
-      -0.23300268332236013, 0.007496774603772488, 0.00530102015935462,
-      -0.21283344895083994,
-    ],
-    [
-      -0.23300268332236013, 0.007496774603772488, 0.18166866348680855,
-      0.11100754259939452,
-    ],
-    [
-      -0.23300268332236013, 0.007496774603772488, 0.20740035586546107,
-      0.04807567153893744,
-    ],
-    [
-      -0.23300268332236013, 0.056016919063376136, -0.2041241452319315,
-      -0.02403783576946872,
-    ],
-    [
-      -0.23300268332236013, 0.056016919063376136, -0.16248939237521515,
-      -0.12586374212091417,
-    ],
-    [
-      -0.23300268332236013, 0.056016919063376136, -0.027756501904477558,
-      0.2036518127028909,
-    ],
-    [
-      -0.23300268332236013, 0.056016919063376136, 0.08124469618760757,
-      0.18879561318137122,
-    ],
-    [
-      -0.23300268332236013, 0.056016919063376136, 0.12287944904432392,
-      -0.1647577774119025,
-    ],
-    [
-      -0.23300268332236013, 0.056016919063376136, 0.19024589427969274,
-      -0.07778807058197673,
-    ],
-    [
-      -0.23300268332236013, 0.09527054050072295, -0.17636764332745397,
-      -0.07211350730840616,
-    ],
-    [
-      -0.23300268332236013, 0.09527054050072295, 0.025731692378652474,
-      0.18879561318137122,
-    ],
-    [
-      -0.23300268332236013, 0.09527054050072295, 0.1506359509488015,
-      -0.1166821058729651,
-    ],
-    [
-      -0.23300268332236013, 0.13452416193806976, -0.14861114142297638,
-      0.07211350730840616,
-    ],
-    [
-      -0.23300268332236013, 0.13452416193806976, -0.10697638856626007,
-      0.12586374212091417,
-    ],
-    [
-      -0.23300268332236013, 0.13452416193806976, -0.055513003808955116,
-      -0.15557614116395346,
-    ],
-    [
-      -0.23300268332236013, 0.13452416193806976, 0.011853441426413699,
-      -0.1647577774119025,
-    ],
-    [
-      -0.23300268332236013, 0.13452416193806976, 0.13675769999656268,
-      0.09264427010349638,
-    ],
-    [
-      -0.23300268332236013, 0.13452416193806976, 0.16248939237521515,
-      0.029712399043039295,
-    ],
-    [
-      -0.23300268332236013, 0.17377778337541655, -0.12085463951849884,
-      0.02403783576946872,
-    ],
-    [
-      -0.23300268332236013, 0.17377778337541655, -0.0693912547611939,
-      -0.10182590635144545,
-    ],
-    [
-      -0.23300268332236013, 0.17377778337541655, -0.053488194283130036,
-      0.11100754259939452,
-    ],
-    [
-      -0.23300268332236013, 0.17377778337541655, 0.039609943330891254,
-      -0.1166821058729651,
-    ],
-    [
-      -0.23300268332236013, 0.17377778337541655, 0.08124469618760757,
-      0.09264427010349638,
-    ],
-    [
-      -0.23300268332236013, 0.17377778337541655, 0.12287944904432392,
-      -0.009181636247949067,
-    ],
-    [
-      -0.23300268332236013, 0.19803785560521836, -0.06206542507601419,
-      0.04807567153893744,
-    ],
-    [
-      -0.23300268332236013, 0.19803785560521836, -0.01060204031870924,
-      -0.07778807058197673,
-    ],
-    [
-      -0.23300268332236013, 0.19803785560521836, 0.07266746539472344,
-      0.029712399043039295,
-    ],
-    [
-      -0.21199284447370637, -0.18590781949031743, -0.1314566798372081,
-      -0.05375023481250801,
-    ],
-    [
-      -0.21199284447370637, -0.18590781949031743, 0.0191792711115934,
-      0.1407199416424338,
-    ],
-    [
-      -0.21199284447370637, -0.18590781949031743, 0.11227740872561467,
-      -0.0869697068299258,
-    ],
-    [
-      -0.21199284447370637, -0.04388688294847523, -0.18166866348680855,
-      0.1407199416424338,
-    ],
-    [
-      -0.21199284447370637, -0.04388688294847523, -0.031032712538007094,
-      -0.22768964847235962,
-    ],
-    [
-      -0.21199284447370637, -0.04388688294847523, 0.21270137602481565,
-      0.0869697068299258,
-    ],
-    [
-      -0.21199284447370637, 0.04388688294847523, -0.21270137602481565,
-      -0.0869697068299258,
-    ],
-    [
-      -0.21199284447370637, 0.04388688294847523, 0.031032712538007094,
-      0.22768964847235962,
-    ],
-    [
-      -0.21199284447370637, 0.04388688294847523, 0.18166866348680855,
-      -0.1407199416424338,
-    ],
-    [
-      -0.21199284447370637, 0.18590781949031743, -0.11227740872561467,
-      0.0869697068299258,
-    ],
-    [
-      -0.21199284447370637, 0.18590781949031743, -0.0191792711115934,
-      -0.1407199416424338,
-    ],
-    [
-      -0.21199284447370637, 0.18590781949031743, 0.1314566798372081,
-      0.05375023481250801,
-    ],
-    [
-      -0.19900804996708038, -0.24192473855369362, -0.03633373269736172,
-      -0.014856199521519647,
-    ],
-    [
-      -0.19900804996708038, -0.24192473855369362, 0.00530102015935462,
-      0.038894035290988366,
-    ],
-    [
-      -0.19900804996708038, -0.24192473855369362, 0.031032712538007094,
-      -0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, -0.19340459409408994, -0.13675769999656268,
-      0.06293187106045708,
-    ],
-    [
-      -0.19900804996708038, -0.19340459409408994, -0.09512294713984637,
-      0.1166821058729651,
-    ],
-    [
-      -0.19900804996708038, -0.19340459409408994, -0.053488194283130036,
-      -0.1407199416424338,
-    ],
-    [
-      -0.19900804996708038, -0.19340459409408994, 0.013878250952238779,
-      -0.1499015778903829,
-    ],
-    [
-      -0.19900804996708038, -0.19340459409408994, 0.12287944904432392,
-      0.0869697068299258,
-    ],
-    [
-      -0.19900804996708038, -0.19340459409408994, 0.14861114142297638,
-      0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, -0.15415097265674316, -0.1506359509488015,
-      0.1166821058729651,
-    ],
-    [
-      -0.19900804996708038, -0.15415097265674316, -0.025731692378652474,
-      -0.18879561318137122,
-    ],
-    [
-      -0.19900804996708038, -0.15415097265674316, 0.17636764332745397,
-      0.07211350730840616,
-    ],
-    [
-      -0.19900804996708038, -0.11489735121939634, -0.2159775866583452,
-      -0.014856199521519647,
-    ],
-    [
-      -0.19900804996708038, -0.11489735121939634, -0.16451420190104027,
-      -0.1407199416424338,
-    ],
-    [
-      -0.19900804996708038, -0.11489735121939634, -0.039609943330891254,
-      0.21283344895083994,
-    ],
-    [
-      -0.19900804996708038, -0.11489735121939634, 0.09512294713984637,
-      0.1944701764549418,
-    ],
-    [
-      -0.19900804996708038, -0.11489735121939634, 0.12085463951849884,
-      -0.17961397693342218,
-    ],
-    [
-      -0.19900804996708038, -0.11489735121939634, 0.2041241452319315,
-      -0.07211350730840616,
-    ],
-    [
-      -0.19900804996708038, -0.07564372978204953, -0.22985583761058398,
-      0.038894035290988366,
-    ],
-    [
-      -0.19900804996708038, -0.07564372978204953, -0.13675769999656268,
-      -0.18879561318137122,
-    ],
-    [
-      -0.19900804996708038, -0.07564372978204953, -0.09512294713984637,
-      0.21283344895083994,
-    ],
-    [
-      -0.19900804996708038, -0.07564372978204953, 0.08124469618760757,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19900804996708038, -0.07564372978204953, 0.14861114142297638,
-      0.17961397693342218,
-    ],
-    [
-      -0.19900804996708038, -0.07564372978204953, 0.23188064713640905,
-      -0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, -0.05138365755224772, -0.23843306840346812,
-      -0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, -0.05138365755224772, -0.18696968364616318,
-      -0.1499015778903829,
-    ],
-    [
-      -0.19900804996708038, -0.05138365755224772, -0.03633373269736172,
-      0.23687128472030866,
-    ],
-    [
-      -0.19900804996708038, -0.05138365755224772, 0.0983991577733759,
-      0.21850801222441052,
-    ],
-    [
-      -0.19900804996708038, -0.05138365755224772, 0.14003391063009224,
-      -0.1944701764549418,
-    ],
-    [
-      -0.19900804996708038, -0.05138365755224772, 0.2233034163435249,
-      -0.0869697068299258,
-    ],
-    [
-      -0.19900804996708038, 0.05138365755224772, -0.2233034163435249,
-      0.0869697068299258,
-    ],
-    [
-      -0.19900804996708038, 0.05138365755224772, -0.14003391063009224,
-      0.1944701764549418,
-    ],
-    [
-      -0.19900804996708038, 0.05138365755224772, -0.0983991577733759,
-      -0.21850801222441052,
-    ],
-    [
-      -0.19900804996708038, 0.05138365755224772, 0.03633373269736172,
-      -0.23687128472030866,
-    ],
-    [
-      -0.19900804996708038, 0.05138365755224772, 0.18696968364616318,
-      0.1499015778903829,
-    ],
-    [
-      -0.19900804996708038, 0.05138365755224772, 0.23843306840346812,
-      0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, 0.07564372978204953, -0.23188064713640905,
-      0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, 0.07564372978204953, -0.14861114142297638,
-      -0.17961397693342218,
-    ],
-    [
-      -0.19900804996708038, 0.07564372978204953, -0.08124469618760757,
-      0.21850801222441052,
-    ],
-    [
-      -0.19900804996708038, 0.07564372978204953, 0.09512294713984637,
-      -0.21283344895083994,
-    ],
-    [
-      -0.19900804996708038, 0.07564372978204953, 0.13675769999656268,
-      0.18879561318137122,
-    ],
-    [
-      -0.19900804996708038, 0.07564372978204953, 0.22985583761058398,
-      -0.038894035290988366,
-    ],
-    [
-      -0.19900804996708038, 0.11489735121939634, -0.2041241452319315,
-      0.07211350730840616,
-    ],
-    [
-      -0.19900804996708038, 0.11489735121939634, -0.12085463951849884,
-      0.17961397693342218,
-    ],
-    [
-      -0.19900804996708038, 0.11489735121939634, -0.09512294713984637,
-      -0.1944701764549418,
-    ],
-    [
-      -0.19900804996708038, 0.11489735121939634, 0.039609943330891254,
-      -0.21283344895083994,
-    ],
-    [
-      -0.19900804996708038, 0.11489735121939634, 0.16451420190104027,
-      0.1407199416424338,
-    ],
-    [
-      -0.19900804996708038, 0.11489735121939634, 0.2159775866583452,
-      0.014856199521519647,
-    ],
-    [
-      -0.19900804996708038, 0.15415097265674316, -0.17636764332745397,
-      -0.07211350730840616,
-    ],
-    [
-      -0.19900804996708038, 0.15415097265674316, 0.025731692378652474,
-      0.18879561318137122,
-    ],
-    [
-      -0.19900804996708038, 0.15415097265674316, 0.1506359509488015,
-      -0.1166821058729651,
-    ],
-    [
-      -0.19900804996708038, 0.19340459409408994, -0.14861114142297638,
-      -0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, 0.19340459409408994, -0.12287944904432392,
-      -0.0869697068299258,
-    ],
-    [
-      -0.19900804996708038, 0.19340459409408994, -0.013878250952238779,
-      0.1499015778903829,
-    ],
-    [
-      -0.19900804996708038, 0.19340459409408994, 0.053488194283130036,
-      0.1407199416424338,
-    ],
-    [
-      -0.19900804996708038, 0.19340459409408994, 0.09512294713984637,
-      -0.1166821058729651,
-    ],
-    [
-      -0.19900804996708038, 0.19340459409408994, 0.13675769999656268,
-      -0.06293187106045708,
-    ],
-    [
-      -0.19900804996708038, 0.24192473855369362, -0.031032712538007094,
-      0.02403783576946872,
-    ],
-    [
-      -0.19900804996708038, 0.24192473855369362, -0.00530102015935462,
-      -0.038894035290988366,
-    ],
-    [
-      -0.19900804996708038, 0.24192473855369362, 0.03633373269736172,
-      0.014856199521519647,
-    ],
-    [
-      -0.16501341661180058, -0.261551549272367, -0.050211983649600486,
-      0.038894035290988366,
-    ],
-    [
-      -0.16501341661180058, -0.261551549272367, -0.00857723079288416,
-      -0.06293187106045708,
-    ],
-    [
-      -0.16501341661180058, -0.261551549272367, 0.05878921444248465,
-      0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, -0.23729147704256515, -0.10042396729920097,
-      0.07778807058197673,
-    ],
-    [
-      -0.16501341661180058, -0.23729147704256515, -0.01715446158576832,
-      -0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, -0.23729147704256515, 0.1175784288849693,
-      0.04807567153893744,
-    ],
-    [
-      -0.16501341661180058, -0.17377778337541655, -0.19024589427969274,
-      0.07778807058197673,
-    ],
-    [
-      -0.16501341661180058, -0.17377778337541655, -0.12287944904432392,
-      0.1647577774119025,
-    ],
-    [
-      -0.16501341661180058, -0.17377778337541655, -0.08124469618760757,
-      -0.18879561318137122,
-    ],
-    [
-      -0.16501341661180058, -0.17377778337541655, 0.027756501904477558,
-      -0.2036518127028909,
-    ],
-    [
-      -0.16501341661180058, -0.17377778337541655, 0.16248939237521515,
-      0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, -0.17377778337541655, 0.2041241452319315,
-      0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, -0.13452416193806976, -0.22985583761058398,
-      0.038894035290988366,
-    ],
-    [
-      -0.16501341661180058, -0.13452416193806976, -0.13675769999656268,
-      -0.18879561318137122,
-    ],
-    [
-      -0.16501341661180058, -0.13452416193806976, -0.09512294713984637,
-      0.21283344895083994,
-    ],
-    [
-      -0.16501341661180058, -0.13452416193806976, 0.08124469618760757,
-      -0.21850801222441052,
-    ],
-    [
-      -0.16501341661180058, -0.13452416193806976, 0.14861114142297638,
-      0.17961397693342218,
-    ],
-    [
-      -0.16501341661180058, -0.13452416193806976, 0.23188064713640905,
-      -0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, -0.09527054050072295, -0.24373408856282275,
-      -0.06293187106045708,
-    ],
-    [
-      -0.16501341661180058, -0.09527054050072295, -0.21800239618417028,
-      -0.12586374212091417,
-    ],
-    [-0.16501341661180058, -0.09527054050072295, 0.0, 0.25172748424182834],
-    [
-      -0.16501341661180058, -0.09527054050072295, 0.0673664452353688,
-      0.24254584799387924,
-    ],
-    [
-      -0.16501341661180058, -0.09527054050072295, 0.17636764332745397,
-      -0.17961397693342218,
-    ],
-    [
-      -0.16501341661180058, -0.09527054050072295, 0.21800239618417028,
-      -0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, -0.03175684683357431, -0.26618957030794566,
-      0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, -0.03175684683357431, -0.1730914326939244,
-      -0.2036518127028909,
-    ],
-    [
-      -0.16501341661180058, -0.03175684683357431, -0.08982192698049174,
-      0.25172748424182834,
-    ],
-    [
-      -0.16501341661180058, -0.03175684683357431, 0.11227740872561467,
-      -0.24254584799387924,
-    ],
-    [
-      -0.16501341661180058, -0.03175684683357431, 0.153912161582331,
-      0.21850801222441052,
-    ],
-    [
-      -0.16501341661180058, -0.03175684683357431, 0.2629133596744162,
-      -0.04807567153893744,
-    ],
-    [
-      -0.16501341661180058, 0.03175684683357431, -0.2629133596744162,
-      0.04807567153893744,
-    ],
-    [
-      -0.16501341661180058, 0.03175684683357431, -0.153912161582331,
-      -0.21850801222441052,
-    ],
-    [
-      -0.16501341661180058, 0.03175684683357431, -0.11227740872561467,
-      0.24254584799387924,
-    ],
-    [
-      -0.16501341661180058, 0.03175684683357431, 0.08982192698049174,
-      -0.25172748424182834,
-    ],
-    [
-      -0.16501341661180058, 0.03175684683357431, 0.1730914326939244,
-      0.2036518127028909,
-    ],
-    [
-      -0.16501341661180058, 0.03175684683357431, 0.26618957030794566,
-      -0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, 0.09527054050072295, -0.21800239618417028,
-      0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, 0.09527054050072295, -0.17636764332745397,
-      0.17961397693342218,
-    ],
-    [
-      -0.16501341661180058, 0.09527054050072295, -0.0673664452353688,
-      -0.24254584799387924,
-    ],
-    [-0.16501341661180058, 0.09527054050072295, 0.0, -0.25172748424182834],
-    [
-      -0.16501341661180058, 0.09527054050072295, 0.21800239618417028,
-      0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, 0.09527054050072295, 0.24373408856282275,
-      0.06293187106045708,
-    ],
-    [
-      -0.16501341661180058, 0.13452416193806976, -0.23188064713640905,
-      0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, 0.13452416193806976, -0.14861114142297638,
-      -0.17961397693342218,
-    ],
-    [
-      -0.16501341661180058, 0.13452416193806976, -0.08124469618760757,
-      0.21850801222441052,
-    ],
-    [
-      -0.16501341661180058, 0.13452416193806976, 0.09512294713984637,
-      -0.21283344895083994,
-    ],
-    [
-      -0.16501341661180058, 0.13452416193806976, 0.13675769999656268,
-      0.18879561318137122,
-    ],
-    [
-      -0.16501341661180058, 0.13452416193806976, 0.22985583761058398,
-      -0.038894035290988366,
-    ],
-    [
-      -0.16501341661180058, 0.17377778337541655, -0.2041241452319315,
-      -0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, 0.17377778337541655, -0.16248939237521515,
-      -0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, 0.17377778337541655, -0.027756501904477558,
-      0.2036518127028909,
-    ],
-    [
-      -0.16501341661180058, 0.17377778337541655, 0.08124469618760757,
-      0.18879561318137122,
-    ],
-    [
-      -0.16501341661180058, 0.17377778337541655, 0.12287944904432392,
-      -0.1647577774119025,
-    ],
-    [
-      -0.16501341661180058, 0.17377778337541655, 0.19024589427969274,
-      -0.07778807058197673,
-    ],
-    [
-      -0.16501341661180058, 0.23729147704256515, -0.1175784288849693,
-      -0.04807567153893744,
-    ],
-    [
-      -0.16501341661180058, 0.23729147704256515, 0.01715446158576832,
-      0.12586374212091417,
-    ],
-    [
-      -0.16501341661180058, 0.23729147704256515, 0.10042396729920097,
-      -0.07778807058197673,
-    ],
-    [
-      -0.16501341661180058, 0.261551549272367, -0.05878921444248465,
-      -0.02403783576946872,
-    ],
-    [
-      -0.16501341661180058, 0.261551549272367, 0.00857723079288416,
-      0.06293187106045708,
-    ],
-    [
-      -0.16501341661180058, 0.261551549272367, 0.050211983649600486,
-      -0.038894035290988366,
-    ],
-    [
-      -0.1569883722697728, -0.21766466632389175, -0.153912161582331,
-      -0.06293187106045708,
-    ],
-    [
-      -0.1569883722697728, -0.21766466632389175, 0.022455481745122935,
-      0.1647577774119025,
-    ],
-    [
-      -0.1569883722697728, -0.21766466632389175, 0.1314566798372081,
-      -0.10182590635144545,
-    ],
-    [
-      -0.1569883722697728, -0.05138365755224772, -0.21270137602481565,
-      0.1647577774119025,
-    ],
-    [
-      -0.1569883722697728, -0.05138365755224772, -0.03633373269736172,
-      -0.26658368376334796,
-    ],
-    [
-      -0.1569883722697728, -0.05138365755224772, 0.24903510872217738,
-      0.10182590635144545,
-    ],
-    [
-      -0.1569883722697728, 0.05138365755224772, -0.24903510872217738,
-      -0.10182590635144545,
-    ],
-    [
-      -0.1569883722697728, 0.05138365755224772, 0.03633373269736172,
-      0.26658368376334796,
-    ],
-    [
-      -0.1569883722697728, 0.05138365755224772, 0.21270137602481565,
-      -0.1647577774119025,
-    ],
-    [
-      -0.1569883722697728, 0.21766466632389175, -0.1314566798372081,
-      0.10182590635144545,
-    ],
-    [
-      -0.1569883722697728, 0.21766466632389175, -0.022455481745122935,
-      -0.1647577774119025,
-    ],
-    [
-      -0.1569883722697728, 0.21766466632389175, 0.153912161582331,
-      0.06293187106045708,
-    ],
-    [
-      -0.14400357776314682, -0.27368158538726794, -0.05878921444248465,
-      -0.02403783576946872,
-    ],
-    [
-      -0.14400357776314682, -0.27368158538726794, 0.00857723079288416,
-      0.06293187106045708,
-    ],
-    [
-      -0.14400357776314682, -0.27368158538726794, 0.050211983649600486,
-      -0.038894035290988366,
-    ],
-    [
-      -0.14400357776314682, -0.22516144092766427, -0.15921318174168564,
-      0.05375023481250801,
-    ],
-    [
-      -0.14400357776314682, -0.22516144092766427, -0.09184673650631683,
-      0.1407199416424338,
-    ],
-    [
-      -0.14400357776314682, -0.22516144092766427, -0.07594367602825297,
-      -0.1499015778903829,
-    ],
-    [
-      -0.14400357776314682, -0.22516144092766427, 0.033057522063832175,
-      -0.1647577774119025,
-    ],
-    [
-      -0.14400357776314682, -0.22516144092766427, 0.12615565967785347,
-      0.11100754259939452,
-    ],
-    [
-      -0.14400357776314682, -0.22516144092766427, 0.16779041253456978,
-      0.009181636247949067,
-    ],
-    [
-      -0.14400357776314682, -0.16164774726051562, -0.18166866348680855,
-      0.1407199416424338,
-    ],
-    [
-      -0.14400357776314682, -0.16164774726051562, -0.031032712538007094,
-      -0.22768964847235962,
-    ],
-    [
-      -0.14400357776314682, -0.16164774726051562, 0.21270137602481565,
-      0.0869697068299258,
-    ],
-    [
-      -0.14400357776314682, -0.14665419805297064, -0.23843306840346812,
-      -0.02403783576946872,
-    ],
-    [
-      -0.14400357776314682, -0.14665419805297064, -0.18696968364616318,
-      -0.1499015778903829,
-    ],
-    [
-      -0.14400357776314682, -0.14665419805297064, -0.03633373269736172,
-      0.23687128472030866,
-    ],
-    [
-      -0.14400357776314682, -0.14665419805297064, 0.0983991577733759,
-      0.21850801222441052,
-    ],
-    [
-      -0.14400357776314682, -0.14665419805297064, 0.14003391063009224,
-      -0.1944701764549418,
-    ],
-    [
-      -0.14400357776314682, -0.14665419805297064, 0.2233034163435249,
-      -0.0869697068299258,
-    ],
-    [
-      -0.14400357776314682, -0.08314050438582202, -0.260888550148591,
-      0.06293187106045708,
-    ],
-    [
-      -0.14400357776314682, -0.08314050438582202, -0.1420587201559173,
-      -0.22768964847235962,
-    ],
-    [
-      -0.14400357776314682, -0.08314050438582202, -0.12615565967785347,
-      0.23687128472030866,
-    ],
-    [
-      -0.14400357776314682, -0.08314050438582202, 0.07594367602825297,
-      -0.25740204751539886,
-    ],
-    [
-      -0.14400357776314682, -0.08314050438582202, 0.1849448741203381,
-      0.1944701764549418,
-    ],
-    [
-      -0.14400357776314682, -0.08314050438582202, 0.2682143798337708,
-      -0.009181636247949067,
-    ],
-    [
-      -0.14400357776314682, -0.04388688294847523, -0.27476680110082985,
-      -0.038894035290988366,
-    ],
-    [
-      -0.14400357776314682, -0.04388688294847523, -0.2233034163435249,
-      -0.1647577774119025,
-    ],
-    [
-      -0.14400357776314682, -0.04388688294847523, -0.031032712538007094,
-      0.27576532001129705,
-    ],
-    [
-      -0.14400357776314682, -0.04388688294847523, 0.10370017793273054,
-      0.25740204751539886,
-    ],
-    [
-      -0.14400357776314682, -0.04388688294847523, 0.17106662316809934,
-      -0.21850801222441052,
-    ],
-    [
-      -0.14400357776314682, -0.04388688294847523, 0.254336128881532,
-      -0.11100754259939452,
-    ],
-    [
-      -0.14400357776314682, 0.04388688294847523, -0.254336128881532,
-      0.11100754259939452,
-    ],
-    [
-      -0.14400357776314682, 0.04388688294847523, -0.17106662316809934,
-      0.21850801222441052,
-    ],
-    [
-      -0.14400357776314682, 0.04388688294847523, -0.10370017793273054,
-      -0.25740204751539886,
-    ],
-    [
-      -0.14400357776314682, 0.04388688294847523, 0.031032712538007094,
-      -0.27576532001129705,
-    ],
-    [
-      -0.14400357776314682, 0.04388688294847523, 0.2233034163435249,
-      0.1647577774119025,
-    ],
-    [
-      -0.14400357776314682, 0.04388688294847523, 0.27476680110082985,
-      0.038894035290988366,
-    ],
-    [
-      -0.14400357776314682, 0.08314050438582202, -0.2682143798337708,
-      0.009181636247949067,
-    ],
-    [
-      -0.14400357776314682, 0.08314050438582202, -0.1849448741203381,
-      -0.1944701764549418,
-    ],
-    [
-      -0.14400357776314682, 0.08314050438582202, -0.07594367602825297,
-      0.25740204751539886,
-    ],
-    [
-      -0.14400357776314682, 0.08314050438582202, 0.12615565967785347,
-      -0.23687128472030866,
-    ],
-    [
-      -0.14400357776314682, 0.08314050438582202, 0.1420587201559173,
-      0.22768964847235962,
-    ],
-    [
-      -0.14400357776314682, 0.08314050438582202, 0.260888550148591,
-      -0.06293187106045708,
-    ],
-    [
-      -0.14400357776314682, 0.14665419805297064, -0.2233034163435249,
-      0.0869697068299258,
-    ],
-    [
-      -0.14400357776314682, 0.14665419805297064, -0.14003391063009224,
-      0.1944701764549418,
-    ],
-    [
-      -0.14400357776314682, 0.14665419805297064, -0.0983991577733759,
-      -0.21850801222441052,
-    ],
-    [
-      -0.14400357776314682, 0.14665419805297064, 0.03633373269736172,
-      -0.23687128472030866,
-    ],
-    [
-      -0.14400357776314682, 0.14665419805297064, 0.18696968364616318,
-      0.1499015778903829,
-    ],
-    [
-      -0.14400357776314682, 0.14665419805297064, 0.23843306840346812,
-      0.02403783576946872,
-    ],
-    [
-      -0.14400357776314682, 0.16164774726051562, -0.21270137602481565,
-      -0.0869697068299258,
-    ],
-    [
-      -0.14400357776314682, 0.16164774726051562, 0.031032712538007094,
-      0.22768964847235962,
-    ],
-    [
-      -0.14400357776314682, 0.16164774726051562, 0.18166866348680855,
-      -0.1407199416424338,
-    ],
-    [
-      -0.14400357776314682, 0.22516144092766427, -0.16779041253456978,
-      -0.009181636247949067,
-    ],
-    [
-      -0.14400357776314682, 0.22516144092766427, -0.12615565967785347,
-      -0.11100754259939452,
-    ],
-    [
-      -0.14400357776314682, 0.22516144092766427, -0.033057522063832175,
-      0.1647577774119025,
-    ],
-    [
-      -0.14400357776314682, 0.22516144092766427, 0.07594367602825297,
-      0.1499015778903829,
-    ],
-    [
-      -0.14400357776314682, 0.22516144092766427, 0.09184673650631683,
-      -0.1407199416424338,
-    ],
-    [
-      -0.14400357776314682, 0.22516144092766427, 0.15921318174168564,
-      -0.05375023481250801,
-    ],
-    [
-      -0.14400357776314682, 0.27368158538726794, -0.050211983649600486,
-      0.038894035290988366,
-    ],
-    [
-      -0.14400357776314682, 0.27368158538726794, -0.00857723079288416,
-      -0.06293187106045708,
-    ],
-    [
-      -0.14400357776314682, 0.27368158538726794, 0.05878921444248465,
-      0.02403783576946872,
-    ],
-    [
-      -0.12299373891449306, -0.261551549272367, -0.1175784288849693,
-      -0.04807567153893744,
-    ],
-    [
-      -0.12299373891449306, -0.261551549272367, 0.01715446158576832,
-      0.12586374212091417,
-    ],
-    [
-      -0.12299373891449306, -0.261551549272367, 0.10042396729920097,
-      -0.07778807058197673,
-    ],
-    [
-      -0.12299373891449306, -0.23729147704256515, -0.16779041253456978,
-      -0.009181636247949067,
-    ],
-    [
-      -0.12299373891449306, -0.23729147704256515, -0.12615565967785347,
-      -0.11100754259939452,
-    ],
-    [
-      -0.12299373891449306, -0.23729147704256515, -0.033057522063832175,
-      0.1647577774119025,
-    ],
-    [
-      -0.12299373891449306, -0.23729147704256515, 0.07594367602825297,
-      0.1499015778903829,
-    ],
-    [
-      -0.12299373891449306, -0.23729147704256515, 0.09184673650631683,
-      -0.1407199416424338,
-    ],
-    [
-      -0.12299373891449306, -0.23729147704256515, 0.15921318174168564,
-      -0.05375023481250801,
-    ],
-    [
-      -0.12299373891449306, -0.19803785560521836, -0.20740035586546107,
-      -0.04807567153893744,
-    ],
-    [
-      -0.12299373891449306, -0.19803785560521836, -0.18166866348680855,
-      -0.11100754259939452,
-    ],
-    [
-      -0.12299373891449306, -0.19803785560521836, -0.00530102015935462,
-      0.21283344895083994,
-    ],
-    [
-      -0.12299373891449306, -0.19803785560521836, 0.06206542507601419,
-      0.2036518127028909,
-    ],
-    [
-      -0.12299373891449306, -0.19803785560521836, 0.14533493078944687,
-      -0.15557614116395346,
-    ],
-    [
-      -0.12299373891449306, -0.19803785560521836, 0.18696968364616318,
-      -0.10182590635144545,
-    ],
-    [
-      -0.12299373891449306, -0.11026408970826793, -0.21270137602481565,
-      0.1647577774119025,
-    ],
-    [
-      -0.12299373891449306, -0.11026408970826793, -0.03633373269736172,
-      -0.26658368376334796,
-    ],
-    [
-      -0.12299373891449306, -0.11026408970826793, 0.24903510872217738,
-      0.10182590635144545,
-    ],
-    [
-      -0.12299373891449306, -0.07101046827092111, -0.25231131935570694,
-      0.12586374212091417,
-    ],
-    [
-      -0.12299373891449306, -0.07101046827092111, -0.1849448741203381,
-      0.21283344895083994,
-    ],
-    [
-      -0.12299373891449306, -0.07101046827092111, -0.09184673650631683,
-      -0.26658368376334796,
-    ],
-    [
-      -0.12299373891449306, -0.07101046827092111, 0.01715446158576832,
-      -0.2814398832848676,
-    ],
-    [
-      -0.12299373891449306, -0.07101046827092111, 0.2351568577699386,
-      0.15557614116395346,
-    ],
-    [
-      -0.12299373891449306, -0.07101046827092111, 0.2767916106266549,
-      0.05375023481250801,
-    ],
-    [
-      -0.12299373891449306, -0.007496774603772488, -0.24903510872217738,
-      0.1499015778903829,
-    ],
-    [
-      -0.12299373891449306, -0.007496774603772488, -0.20740035586546107,
-      0.2036518127028909,
-    ],
-    [
-      -0.12299373891449306, -0.007496774603772488, -0.07266746539472344,
-      -0.2814398832848676,
-    ],
-    [
-      -0.12299373891449306, -0.007496774603772488, -0.00530102015935462,
-      -0.2906215195328167,
-    ],
-    [
-      -0.12299373891449306, -0.007496774603772488, 0.254336128881532,
-      0.1407199416424338,
-    ],
-    [
-      -0.12299373891449306, -0.007496774603772488, 0.2800678212601845,
-      0.07778807058197673,
-    ],
-    [
-      -0.12299373891449306, 0.007496774603772488, -0.2800678212601845,
-      -0.07778807058197673,
-    ],
-    [
-      -0.12299373891449306, 0.007496774603772488, -0.254336128881532,
-      -0.1407199416424338,
-    ],
-    [
-      -0.12299373891449306, 0.007496774603772488, 0.00530102015935462,
-      0.2906215195328167,
-    ],
-    [
-      -0.12299373891449306, 0.007496774603772488, 0.07266746539472344,
-      0.2814398832848676,
-    ],
-    [
-      -0.12299373891449306, 0.007496774603772488, 0.20740035586546107,
-      -0.2036518127028909,
-    ],
-    [
-      -0.12299373891449306, 0.007496774603772488, 0.24903510872217738,
-      -0.1499015778903829,
-    ],
-    [
-      -0.12299373891449306, 0.07101046827092111, -0.2767916106266549,
-      -0.05375023481250801,
-    ],
-    [
-      -0.12299373891449306, 0.07101046827092111, -0.2351568577699386,
-      -0.15557614116395346,
-    ],
-    [
-      -0.12299373891449306, 0.07101046827092111, -0.01715446158576832,
-      0.2814398832848676,
-    ],
-    [
-      -0.12299373891449306, 0.07101046827092111, 0.09184673650631683,
-      0.26658368376334796,
-    ],
-    [
-      -0.12299373891449306, 0.07101046827092111, 0.1849448741203381,
-      -0.21283344895083994,
-    ],
-    [
-      -0.12299373891449306, 0.07101046827092111, 0.25231131935570694,
-      -0.12586374212091417,
-    ],
-    [
-      -0.12299373891449306, 0.11026408970826793, -0.24903510872217738,
-      -0.10182590635144545,
-    ],
-    [
-      -0.12299373891449306, 0.11026408970826793, 0.03633373269736172,
-      0.26658368376334796,
-    ],
-    [
-      -0.12299373891449306, 0.11026408970826793, 0.21270137602481565,
-      -0.1647577774119025,
-    ],
-    [
-      -0.12299373891449306, 0.19803785560521836, -0.18696968364616318,
-      0.10182590635144545,
-    ],
-    [
-      -0.12299373891449306, 0.19803785560521836, -0.14533493078944687,
-      0.15557614116395346,
-    ],
-    [
-      -0.12299373891449306, 0.19803785560521836, -0.06206542507601419,
-      -0.2036518127028909,
-    ],
-    [
-      -0.12299373891449306, 0.19803785560521836, 0.00530102015935462,
-      -0.21283344895083994,
-    ],
-    [
-      -0.12299373891449306, 0.19803785560521836, 0.18166866348680855,
-      0.11100754259939452,
-    ],
-    [
-      -0.12299373891449306, 0.19803785560521836, 0.20740035586546107,
-      0.04807567153893744,
-    ],
-    [
-      -0.12299373891449306, 0.23729147704256515, -0.15921318174168564,
-      0.05375023481250801,
-    ],
-    [
-      -0.12299373891449306, 0.23729147704256515, -0.09184673650631683,
-      0.1407199416424338,
-    ],
-    [
-      -0.12299373891449306, 0.23729147704256515, -0.07594367602825297,
-      -0.1499015778903829,
-    ],
-    [
-      -0.12299373891449306, 0.23729147704256515, 0.033057522063832175,
-      -0.1647577774119025,
-    ],
-    [
-      -0.12299373891449306, 0.23729147704256515, 0.12615565967785347,
-      0.11100754259939452,
-    ],
-    [
-      -0.12299373891449306, 0.23729147704256515, 0.16779041253456978,
-      0.009181636247949067,
-    ],
-    [
-      -0.12299373891449306, 0.261551549272367, -0.10042396729920097,
-      0.07778807058197673,
-    ],
-    [
-      -0.12299373891449306, 0.261551549272367, -0.01715446158576832,
-      -0.12586374212091417,
-    ],
-    [
-      -0.12299373891449306, 0.261551549272367, 0.1175784288849693,
-      0.04807567153893744,
-    ],
-    [
-      -0.11000894440786707, -0.2933083961059413, -0.031032712538007094,
-      0.02403783576946872,
-    ],
-    [
-      -0.11000894440786707, -0.2933083961059413, -0.00530102015935462,
-      -0.038894035290988366,
-    ],
-    [
-      -0.11000894440786707, -0.2933083961059413, 0.03633373269736172,
-      0.014856199521519647,
-    ],
-    [
-      -0.11000894440786707, -0.24478825164633766, -0.1314566798372081,
-      0.10182590635144545,
-    ],
-    [
-      -0.11000894440786707, -0.24478825164633766, -0.022455481745122935,
-      -0.1647577774119025,
-    ],
-    [
-      -0.11000894440786707, -0.24478825164633766, 0.153912161582331,
-      0.06293187106045708,
-    ],
-    [
-      -0.11000894440786707, -0.20553463020899088, -0.18696968364616318,
-      0.10182590635144545,
-    ],
-    [
-      -0.11000894440786707, -0.20553463020899088, -0.14533493078944687,
-      0.15557614116395346,
-    ],
-    [
-      -0.11000894440786707, -0.20553463020899088, -0.06206542507601419,
-      -0.2036518127028909,
-    ],
-    [
-      -0.11000894440786707, -0.20553463020899088, 0.00530102015935462,
-      -0.21283344895083994,
-    ],
-    [
-      -0.11000894440786707, -0.20553463020899088, 0.18166866348680855,
-      0.11100754259939452,
-    ],
-    [
-      -0.11000894440786707, -0.20553463020899088, 0.20740035586546107,
-      0.04807567153893744,
-    ],
-    [
-      -0.11000894440786707, -0.12702738733429725, -0.26618957030794566,
-      0.02403783576946872,
-    ],
-    [
-      -0.11000894440786707, -0.12702738733429725, -0.1730914326939244,
-      -0.2036518127028909,
-    ],
-    [
-      -0.11000894440786707, -0.12702738733429725, -0.08982192698049174,
-      0.25172748424182834,
-    ],
-    [
-      -0.11000894440786707, -0.12702738733429725, 0.11227740872561467,
-      -0.24254584799387924,
-    ],
-    [
-      -0.11000894440786707, -0.12702738733429725, 0.153912161582331,
-      0.21850801222441052,
-    ],
-    [
-      -0.11000894440786707, -0.12702738733429725, 0.2629133596744162,
-      -0.04807567153893744,
-    ],
-    [
-      -0.11000894440786707, -0.10276731510449544, -0.27476680110082985,
-      -0.038894035290988366,
-    ],
-    [
-      -0.11000894440786707, -0.10276731510449544, -0.2233034163435249,
-      -0.1647577774119025,
-    ],
-    [
-      -0.11000894440786707, -0.10276731510449544, -0.031032712538007094,
-      0.27576532001129705,
-    ],
-    [
-      -0.11000894440786707, -0.10276731510449544, 0.10370017793273054,
-      0.25740204751539886,
-    ],
-    [
-      -0.11000894440786707, -0.10276731510449544, 0.17106662316809934,
-      -0.21850801222441052,
-    ],
-    [
-      -0.11000894440786707, -0.10276731510449544, 0.254336128881532,
-      -0.11100754259939452,
-    ],
-    [
-      -0.11000894440786707, -0.06351369366714862, -0.2886450520530687,
-      0.014856199521519647,
-    ],
-    [
-      -0.11000894440786707, -0.06351369366714862, -0.19554691443904737,
-      -0.21283344895083994,
-    ],
-    [
-      -0.11000894440786707, -0.06351369366714862, -0.0865457163469622,
-      0.27576532001129705,
-    ],
-    [
-      -0.11000894440786707, -0.06351369366714862, 0.1314566798372081,
-      -0.25740204751539886,
-    ],
-    [
-      -0.11000894440786707, -0.06351369366714862, 0.15718837221586057,
-      0.24254584799387924,
-    ],
-    [
-      -0.11000894440786707, -0.06351369366714862, 0.28209263078600955,
-      -0.06293187106045708,
-    ],
-    [
-      -0.11000894440786707, 0.06351369366714862, -0.28209263078600955,
-      0.06293187106045708,
-    ],
-    [
-      -0.11000894440786707, 0.06351369366714862, -0.15718837221586057,
-      -0.24254584799387924,
-    ],
-    [
-      -0.11000894440786707, 0.06351369366714862, -0.1314566798372081,
-      0.25740204751539886,
-    ],
-    [
-      -0.11000894440786707, 0.06351369366714862, 0.0865457163469622,
-      -0.27576532001129705,
-    ],
-    [
-      -0.11000894440786707, 0.06351369366714862, 0.19554691443904737,
-      0.21283344895083994,
-    ],
-    [
-      -0.11000894440786707, 0.06351369366714862, 0.2886450520530687,
-      -0.014856199521519647,
-    ],
-    [
-      -0.11000894440786707, 0.10276731510449544, -0.254336128881532,
-      0.11100754259939452,
-    ],
-    [
-      -0.11000894440786707, 0.10276731510449544, -0.17106662316809934,
-      0.21850801222441052,
-    ],
-    [
-      -0.11000894440786707, 0.10276731510449544, -0.10370017793273054,
-      -0.25740204751539886,
-    ],
-    [
-      -0.11000894440786707, 0.10276731510449544, 0.031032712538007094,
-      -0.27576532001129705,
-    ],
-    [
-      -0.11000894440786707, 0.10276731510449544, 0.2233034163435249,
-      0.1647577774119025,
-    ],
-    [
-      -0.11000894440786707, 0.10276731510449544, 0.27476680110082985,
-      0.038894035290988366,
-    ],
-    [
-      -0.11000894440786707, 0.12702738733429725, -0.2629133596744162,
-      0.04807567153893744,
-    ],
-    [
-      -0.11000894440786707, 0.12702738733429725, -0.153912161582331,
-      -0.21850801222441052,
-    ],
-    [
-      -0.11000894440786707, 0.12702738733429725, -0.11227740872561467,
-      0.24254584799387924,
-    ],
-    [
-      -0.11000894440786707, 0.12702738733429725, 0.08982192698049174,
-      -0.25172748424182834,
-    ],
-    [
-      -0.11000894440786707, 0.12702738733429725, 0.1730914326939244,
-      0.2036518127028909,
-    ],
-    [
-      -0.11000894440786707, 0.12702738733429725, 0.26618957030794566,
-      -0.02403783576946872,
-    ],
-    [
-      -0.11000894440786707, 0.20553463020899088, -0.20740035586546107,
-      -0.04807567153893744,
-    ],
-    [
-      -0.11000894440786707, 0.20553463020899088, -0.18166866348680855,
-      -0.11100754259939452,
-    ],
-    [
-      -0.11000894440786707, 0.20553463020899088, -0.00530102015935462,
-      0.21283344895083994,
-    ],
-    [
-      -0.11000894440786707, 0.20553463020899088, 0.06206542507601419,
-      0.2036518127028909,
-    ],
-    [
-      -0.11000894440786707, 0.20553463020899088, 0.14533493078944687,
-      -0.15557614116395346,
-    ],
-    [
-      -0.11000894440786707, 0.20553463020899088, 0.18696968364616318,
-      -0.10182590635144545,
-    ],
-    [
-      -0.11000894440786707, 0.24478825164633766, -0.153912161582331,
-      -0.06293187106045708,
-    ],
-    [
-      -0.11000894440786707, 0.24478825164633766, 0.022455481745122935,
-      0.1647577774119025,
-    ],
-    [
-      -0.11000894440786707, 0.24478825164633766, 0.1314566798372081,
-      -0.10182590635144545,
-    ],
-    [
-      -0.11000894440786707, 0.2933083961059413, -0.03633373269736172,
-      -0.014856199521519647,
-    ],
-    [
-      -0.11000894440786707, 0.2933083961059413, 0.00530102015935462,
-      0.038894035290988366,
-    ],
-    [
-      -0.11000894440786707, 0.2933083961059413, 0.031032712538007094,
-      -0.02403783576946872,
-    ],
-    [
-      -0.06798926671055952, -0.26904832387613953, -0.14861114142297638,
-      -0.02403783576946872,
-    ],
-    [
-      -0.06798926671055952, -0.26904832387613953, -0.12287944904432392,
-      -0.0869697068299258,
-    ],
-    [
-      -0.06798926671055952, -0.26904832387613953, -0.013878250952238779,
-      0.1499015778903829,
-    ],
-    [
-      -0.06798926671055952, -0.26904832387613953, 0.053488194283130036,
-      0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, -0.26904832387613953, 0.09512294713984637,
-      -0.1166821058729651,
-    ],
-    [
-      -0.06798926671055952, -0.26904832387613953, 0.13675769999656268,
-      -0.06293187106045708,
-    ],
-    [
-      -0.06798926671055952, -0.2297947024387927, -0.2041241452319315,
-      -0.02403783576946872,
-    ],
-    [
-      -0.06798926671055952, -0.2297947024387927, -0.16248939237521515,
-      -0.12586374212091417,
-    ],
-    [
-      -0.06798926671055952, -0.2297947024387927, -0.027756501904477558,
-      0.2036518127028909,
-    ],
-    [
-      -0.06798926671055952, -0.2297947024387927, 0.08124469618760757,
-      0.18879561318137122,
-    ],
-    [
-      -0.06798926671055952, -0.2297947024387927, 0.12287944904432392,
-      -0.1647577774119025,
-    ],
-    [
-      -0.06798926671055952, -0.2297947024387927, 0.19024589427969274,
-      -0.07778807058197673,
-    ],
-    [
-      -0.06798926671055952, -0.20553463020899088, -0.21270137602481565,
-      -0.0869697068299258,
-    ],
-    [
-      -0.06798926671055952, -0.20553463020899088, 0.031032712538007094,
-      0.22768964847235962,
-    ],
-    [
-      -0.06798926671055952, -0.20553463020899088, 0.18166866348680855,
-      -0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, -0.10276731510449544, -0.24903510872217738,
-      0.1499015778903829,
-    ],
-    [
-      -0.06798926671055952, -0.10276731510449544, -0.20740035586546107,
-      0.2036518127028909,
-    ],
-    [
-      -0.06798926671055952, -0.10276731510449544, -0.07266746539472344,
-      -0.2814398832848676,
-    ],
-    [
-      -0.06798926671055952, -0.10276731510449544, -0.00530102015935462,
-      -0.2906215195328167,
-    ],
-    [
-      -0.06798926671055952, -0.10276731510449544, 0.254336128881532,
-      0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, -0.10276731510449544, 0.2800678212601845,
-      0.07778807058197673,
-    ],
-    [
-      -0.06798926671055952, -0.0392536214373468, -0.2714905904673003,
-      0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, -0.0392536214373468, -0.2041241452319315,
-      0.22768964847235962,
-    ],
-    [
-      -0.06798926671055952, -0.0392536214373468, -0.09512294713984637,
-      -0.2906215195328167,
-    ],
-    [
-      -0.06798926671055952, -0.0392536214373468, 0.013878250952238779,
-      -0.3054777190543363,
-    ],
-    [
-      -0.06798926671055952, -0.0392536214373468, 0.2576123395150616,
-      0.1647577774119025,
-    ],
-    [
-      -0.06798926671055952, -0.0392536214373468, 0.2992470923717778,
-      0.06293187106045708,
-    ],
-    [-0.06798926671055952, 0.0, -0.2853688414195391, -0.1166821058729651],
-    [-0.06798926671055952, 0.0, -0.24373408856282275, 0.18879561318137122],
-    [-0.06798926671055952, 0.0, -0.041634752856716334, -0.3054777190543363],
-    [-0.06798926671055952, 0.0, 0.041634752856716334, 0.3054777190543363],
-    [-0.06798926671055952, 0.0, 0.24373408856282275, -0.18879561318137122],
-    [-0.06798926671055952, 0.0, 0.2853688414195391, 0.1166821058729651],
-    [
-      -0.06798926671055952, 0.0392536214373468, -0.2992470923717778,
-      -0.06293187106045708,
-    ],
-    [
-      -0.06798926671055952, 0.0392536214373468, -0.2576123395150616,
-      -0.1647577774119025,
-    ],
-    [
-      -0.06798926671055952, 0.0392536214373468, -0.013878250952238779,
-      0.3054777190543363,
-    ],
-    [
-      -0.06798926671055952, 0.0392536214373468, 0.09512294713984637,
-      0.2906215195328167,
-    ],
-    [
-      -0.06798926671055952, 0.0392536214373468, 0.2041241452319315,
-      -0.22768964847235962,
-    ],
-    [
-      -0.06798926671055952, 0.0392536214373468, 0.2714905904673003,
-      -0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, 0.10276731510449544, -0.2800678212601845,
-      -0.07778807058197673,
-    ],
-    [
-      -0.06798926671055952, 0.10276731510449544, -0.254336128881532,
-      -0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, 0.10276731510449544, 0.00530102015935462,
-      0.2906215195328167,
-    ],
-    [
-      -0.06798926671055952, 0.10276731510449544, 0.07266746539472344,
-      0.2814398832848676,
-    ],
-    [
-      -0.06798926671055952, 0.10276731510449544, 0.20740035586546107,
-      -0.2036518127028909,
-    ],
-    [
-      -0.06798926671055952, 0.10276731510449544, 0.24903510872217738,
-      -0.1499015778903829,
-    ],
-    [
-      -0.06798926671055952, 0.20553463020899088, -0.18166866348680855,
-      0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, 0.20553463020899088, -0.031032712538007094,
-      -0.22768964847235962,
-    ],
-    [
-      -0.06798926671055952, 0.20553463020899088, 0.21270137602481565,
-      0.0869697068299258,
-    ],
-    [
-      -0.06798926671055952, 0.2297947024387927, -0.19024589427969274,
-      0.07778807058197673,
-    ],
-    [
-      -0.06798926671055952, 0.2297947024387927, -0.12287944904432392,
-      0.1647577774119025,
-    ],
-    [
-      -0.06798926671055952, 0.2297947024387927, -0.08124469618760757,
-      -0.18879561318137122,
-    ],
-    [
-      -0.06798926671055952, 0.2297947024387927, 0.027756501904477558,
-      -0.2036518127028909,
-    ],
-    [
-      -0.06798926671055952, 0.2297947024387927, 0.16248939237521515,
-      0.12586374212091417,
-    ],
-    [
-      -0.06798926671055952, 0.2297947024387927, 0.2041241452319315,
-      0.02403783576946872,
-    ],
-    [
-      -0.06798926671055952, 0.26904832387613953, -0.13675769999656268,
-      0.06293187106045708,
-    ],
-    [
-      -0.06798926671055952, 0.26904832387613953, -0.09512294713984637,
-      0.1166821058729651,
-    ],
-    [
-      -0.06798926671055952, 0.26904832387613953, -0.053488194283130036,
-      -0.1407199416424338,
-    ],
-    [
-      -0.06798926671055952, 0.26904832387613953, 0.013878250952238779,
-      -0.1499015778903829,
-    ],
-    [
-      -0.06798926671055952, 0.26904832387613953, 0.12287944904432392,
-      0.0869697068299258,
-    ],
-    [
-      -0.06798926671055952, 0.26904832387613953, 0.14861114142297638,
-      0.02403783576946872,
-    ],
-    [
-      -0.055004472203933535, -0.3008051707097138, -0.06206542507601419,
-      0.04807567153893744,
-    ],
-    [
-      -0.055004472203933535, -0.3008051707097138, -0.01060204031870924,
-      -0.07778807058197673,
-    ],
-    [
-      -0.055004472203933535, -0.3008051707097138, 0.07266746539472344,
-      0.029712399043039295,
-    ],
-    [
-      -0.055004472203933535, -0.27654509847991193, -0.11227740872561467,
-      0.0869697068299258,
-    ],
-    [
-      -0.055004472203933535, -0.27654509847991193, -0.0191792711115934,
-      -0.1407199416424338,
-    ],
-    [
-      -0.055004472203933535, -0.27654509847991193, 0.1314566798372081,
-      0.05375023481250801,
-    ],
-    [
-      -0.055004472203933535, -0.19803785560521836, -0.2233034163435249,
-      0.0869697068299258,
-    ],
-    [
-      -0.055004472203933535, -0.19803785560521836, -0.14003391063009224,
-      0.1944701764549418,
-    ],
-    [
-      -0.055004472203933535, -0.19803785560521836, -0.0983991577733759,
-      -0.21850801222441052,
-    ],
-    [
-      -0.055004472203933535, -0.19803785560521836, 0.03633373269736172,
-      -0.23687128472030866,
-    ],
-    [
-      -0.055004472203933535, -0.19803785560521836, 0.18696968364616318,
-      0.1499015778903829,
-    ],
-    [
-      -0.055004472203933535, -0.19803785560521836, 0.23843306840346812,
-      0.02403783576946872,
-    ],
-    [
-      -0.055004472203933535, -0.15878423416787157, -0.2629133596744162,
-      0.04807567153893744,
-    ],
-    [
-      -0.055004472203933535, -0.15878423416787157, -0.153912161582331,
-      -0.21850801222441052,
-    ],
-    [
-      -0.055004472203933535, -0.15878423416787157, -0.11227740872561467,
-      0.24254584799387924,
-    ],
-    [
-      -0.055004472203933535, -0.15878423416787157, 0.08982192698049174,
-      -0.25172748424182834,
-    ],
-    [
-      -0.055004472203933535, -0.15878423416787157, 0.1730914326939244,
-      0.2036518127028909,
-    ],
-    [
-      -0.055004472203933535, -0.15878423416787157, 0.26618957030794566,
-      -0.02403783576946872,
-    ],
-    [
-      -0.055004472203933535, -0.11026408970826793, -0.2800678212601845,
-      -0.07778807058197673,
-    ],
-    [
-      -0.055004472203933535, -0.11026408970826793, -0.254336128881532,
-      -0.1407199416424338,
-    ],
-    [
-      -0.055004472203933535, -0.11026408970826793, 0.00530102015935462,
-      0.2906215195328167,
-    ],
-    [
-      -0.055004472203933535, -0.11026408970826793, 0.07266746539472344,
-      0.2814398832848676,
-    ],
-    [
-      -0.055004472203933535, -0.11026408970826793, 0.20740035586546107,
-      -0.2036518127028909,
-    ],
-    [
-      -0.055004472203933535, -0.11026408970826793, 0.24903510872217738,
-      -0.1499015778903829,
-    ],
-    [
-      -0.055004472203933535, -0.03175684683357431, -0.307824323164662,
-      0.029712399043039295,
-    ],
-    [
-      -0.055004472203933535, -0.03175684683357431, -0.19882312507257688,
-      -0.23687128472030866,
-    ],
-    [
-      -0.055004472203933535, -0.03175684683357431, -0.1057249874585556,
-      0.2906215195328167,
-    ],
-    [
-      -0.055004472203933535, -0.03175684683357431, 0.12818046920367854,
-      -0.2814398832848676,
-    ],
-    [
-      -0.055004472203933535, -0.03175684683357431, 0.17964385396098348,
-      0.25172748424182834,
-    ],
-    [
-      -0.055004472203933535, -0.03175684683357431, 0.30454811253113245,
-      -0.05375023481250801,
-    ],
-    [
-      -0.055004472203933535, 0.03175684683357431, -0.30454811253113245,
-      0.05375023481250801,
-    ],
-    [
-      -0.055004472203933535, 0.03175684683357431, -0.17964385396098348,
-      -0.25172748424182834,
-    ],
-    [
-      -0.055004472203933535, 0.03175684683357431, -0.12818046920367854,
-      0.2814398832848676,
-    ],
-    [
-      -0.055004472203933535, 0.03175684683357431, 0.1057249874585556,
-      -0.2906215195328167,
-    ],
-    [
-      -0.055004472203933535, 0.03175684683357431, 0.19882312507257688,
-      0.23687128472030866,
-    ],
-    [
-      -0.055004472203933535, 0.03175684683357431, 0.307824323164662,
-      -0.029712399043039295,
-    ],
-    [
-      -0.055004472203933535, 0.11026408970826793, -0.24903510872217738,
-      0.1499015778903829,
-    ],
-    [
-      -0.055004472203933535, 0.11026408970826793, -0.20740035586546107,
-      0.2036518127028909,
-    ],
-    [
-      -0.055004472203933535, 0.11026408970826793, -0.07266746539472344,
-      -0.2814398832848676,
-    ],
-    [
-      -0.055004472203933535, 0.11026408970826793, -0.00530102015935462,
-      -0.2906215195328167,
-    ],
-    [
-      -0.055004472203933535, 0.11026408970826793, 0.254336128881532,
-      0.1407199416424338,
-    ],
-    [
-      -0.055004472203933535, 0.11026408970826793, 0.2800678212601845,
-      0.07778807058197673,
-    ],
-    [
-      -0.055004472203933535, 0.15878423416787157, -0.26618957030794566,
-      0.02403783576946872,
-    ],
-    [
-      -0.055004472203933535, 0.15878423416787157, -0.1730914326939244,
-      -0.2036518127028909,
-    ],
-    [
-      -0.055004472203933535, 0.15878423416787157, -0.08982192698049174,
-      0.25172748424182834,
-    ],
-    [
-      -0.055004472203933535, 0.15878423416787157, 0.11227740872561467,
-      -0.24254584799387924,
-    ],
-    [
-      -0.055004472203933535, 0.15878423416787157, 0.153912161582331,
-      0.21850801222441052,
-    ],
-    [
-      -0.055004472203933535, 0.15878423416787157, 0.2629133596744162,
-      -0.04807567153893744,
-    ],
-    [
-      -0.055004472203933535, 0.19803785560521836, -0.23843306840346812,
-      -0.02403783576946872,
-    ],
-    [
-      -0.055004472203933535, 0.19803785560521836, -0.18696968364616318,
-      -0.1499015778903829,
-    ],
-    [
-      -0.055004472203933535, 0.19803785560521836, -0.03633373269736172,
-      0.23687128472030866,
-    ],
-    [
-      -0.055004472203933535, 0.19803785560521836, 0.0983991577733759,
-      0.21850801222441052,
-    ],
-    [
-      -0.055004472203933535, 0.19803785560521836, 0.14003391063009224,
-      -0.1944701764549418,
-    ],
-    [
-      -0.055004472203933535, 0.19803785560521836, 0.2233034163435249,
-      -0.0869697068299258,
-    ],
-    [
-      -0.055004472203933535, 0.27654509847991193, -0.1314566798372081,
-      -0.05375023481250801,
-    ],
-    [
-      -0.055004472203933535, 0.27654509847991193, 0.0191792711115934,
-      0.1407199416424338,
-    ],
-    [
-      -0.055004472203933535, 0.27654509847991193, 0.11227740872561467,
-      -0.0869697068299258,
-    ],
-    [
-      -0.055004472203933535, 0.3008051707097138, -0.07266746539472344,
-      -0.029712399043039295,
-    ],
-    [
-      -0.055004472203933535, 0.3008051707097138, 0.01060204031870924,
-      0.07778807058197673,
-    ],
-    [
-      -0.055004472203933535, 0.3008051707097138, 0.06206542507601419,
-      -0.04807567153893744,
-    ],
-    [
-      -0.03399463335527976, -0.28867513459481287, -0.12085463951849884,
-      0.02403783576946872,
-    ],
-    [
-      -0.03399463335527976, -0.28867513459481287, -0.0693912547611939,
-      -0.10182590635144545,
-    ],
-    [
-      -0.03399463335527976, -0.28867513459481287, -0.053488194283130036,
-      0.11100754259939452,
-    ],
-    [
-      -0.03399463335527976, -0.28867513459481287, 0.039609943330891254,
-      -0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, -0.28867513459481287, 0.08124469618760757,
-      0.09264427010349638,
-    ],
-    [
-      -0.03399463335527976, -0.28867513459481287, 0.12287944904432392,
-      -0.009181636247949067,
-    ],
-    [
-      -0.03399463335527976, -0.24942151315746608, -0.17636764332745397,
-      -0.07211350730840616,
-    ],
-    [
-      -0.03399463335527976, -0.24942151315746608, 0.025731692378652474,
-      0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, -0.24942151315746608, 0.1506359509488015,
-      -0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, -0.2101678917201193, -0.23188064713640905,
-      0.02403783576946872,
-    ],
-    [
-      -0.03399463335527976, -0.2101678917201193, -0.14861114142297638,
-      -0.17961397693342218,
-    ],
-    [
-      -0.03399463335527976, -0.2101678917201193, -0.08124469618760757,
-      0.21850801222441052,
-    ],
-    [
-      -0.03399463335527976, -0.2101678917201193, 0.09512294713984637,
-      -0.21283344895083994,
-    ],
-    [
-      -0.03399463335527976, -0.2101678917201193, 0.13675769999656268,
-      0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, -0.2101678917201193, 0.22985583761058398,
-      -0.038894035290988366,
-    ],
-    [
-      -0.03399463335527976, -0.16164774726051562, -0.24903510872217738,
-      -0.10182590635144545,
-    ],
-    [
-      -0.03399463335527976, -0.16164774726051562, 0.03633373269736172,
-      0.26658368376334796,
-    ],
-    [
-      -0.03399463335527976, -0.16164774726051562, 0.21270137602481565,
-      -0.1647577774119025,
-    ],
-    [
-      -0.03399463335527976, -0.14665419805297064, -0.254336128881532,
-      0.11100754259939452,
-    ],
-    [
-      -0.03399463335527976, -0.14665419805297064, -0.17106662316809934,
-      0.21850801222441052,
-    ],
-    [
-      -0.03399463335527976, -0.14665419805297064, -0.10370017793273054,
-      -0.25740204751539886,
-    ],
-    [
-      -0.03399463335527976, -0.14665419805297064, 0.031032712538007094,
-      -0.27576532001129705,
-    ],
-    [
-      -0.03399463335527976, -0.14665419805297064, 0.2233034163435249,
-      0.1647577774119025,
-    ],
-    [
-      -0.03399463335527976, -0.14665419805297064, 0.27476680110082985,
-      0.038894035290988366,
-    ],
-    [
-      -0.03399463335527976, -0.05888043215602021, -0.2853688414195391,
-      -0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, -0.05888043215602021, -0.24373408856282275,
-      0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, -0.05888043215602021, -0.041634752856716334,
-      -0.3054777190543363,
-    ],
-    [
-      -0.03399463335527976, -0.05888043215602021, 0.041634752856716334,
-      0.3054777190543363,
-    ],
-    [
-      -0.03399463335527976, -0.05888043215602021, 0.24373408856282275,
-      -0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, -0.05888043215602021, 0.2853688414195391,
-      0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, -0.0196268107186734, -0.2992470923717778,
-      0.09264427010349638,
-    ],
-    [
-      -0.03399463335527976, -0.0196268107186734, -0.16451420190104027,
-      0.26658368376334796,
-    ],
-    [
-      -0.03399463335527976, -0.0196268107186734, -0.14861114142297638,
-      -0.27576532001129705,
-    ],
-    [
-      -0.03399463335527976, -0.0196268107186734, 0.0693912547611939,
-      -0.3054777190543363,
-    ],
-    [
-      -0.03399463335527976, -0.0196268107186734, 0.22985583761058398,
-      0.21283344895083994,
-    ],
-    [
-      -0.03399463335527976, -0.0196268107186734, 0.31312534332401665,
-      0.009181636247949067,
-    ],
-    [
-      -0.03399463335527976, 0.0196268107186734, -0.31312534332401665,
-      -0.009181636247949067,
-    ],
-    [
-      -0.03399463335527976, 0.0196268107186734, -0.22985583761058398,
-      -0.21283344895083994,
-    ],
-    [
-      -0.03399463335527976, 0.0196268107186734, -0.0693912547611939,
-      0.3054777190543363,
-    ],
-    [
-      -0.03399463335527976, 0.0196268107186734, 0.14861114142297638,
-      0.27576532001129705,
-    ],
-    [
-      -0.03399463335527976, 0.0196268107186734, 0.16451420190104027,
-      -0.26658368376334796,
-    ],
-    [
-      -0.03399463335527976, 0.0196268107186734, 0.2992470923717778,
-      -0.09264427010349638,
-    ],
-    [
-      -0.03399463335527976, 0.05888043215602021, -0.2853688414195391,
-      -0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, 0.05888043215602021, -0.24373408856282275,
-      0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, 0.05888043215602021, -0.041634752856716334,
-      -0.3054777190543363,
-    ],
-    [
-      -0.03399463335527976, 0.05888043215602021, 0.041634752856716334,
-      0.3054777190543363,
-    ],
-    [
-      -0.03399463335527976, 0.05888043215602021, 0.24373408856282275,
-      -0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, 0.05888043215602021, 0.2853688414195391,
-      0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, 0.14665419805297064, -0.27476680110082985,
-      -0.038894035290988366,
-    ],
-    [
-      -0.03399463335527976, 0.14665419805297064, -0.2233034163435249,
-      -0.1647577774119025,
-    ],
-    [
-      -0.03399463335527976, 0.14665419805297064, -0.031032712538007094,
-      0.27576532001129705,
-    ],
-    [
-      -0.03399463335527976, 0.14665419805297064, 0.10370017793273054,
-      0.25740204751539886,
-    ],
-    [
-      -0.03399463335527976, 0.14665419805297064, 0.17106662316809934,
-      -0.21850801222441052,
-    ],
-    [
-      -0.03399463335527976, 0.14665419805297064, 0.254336128881532,
-      -0.11100754259939452,
-    ],
-    [
-      -0.03399463335527976, 0.16164774726051562, -0.21270137602481565,
-      0.1647577774119025,
-    ],
-    [
-      -0.03399463335527976, 0.16164774726051562, -0.03633373269736172,
-      -0.26658368376334796,
-    ],
-    [
-      -0.03399463335527976, 0.16164774726051562, 0.24903510872217738,
-      0.10182590635144545,
-    ],
-    [
-      -0.03399463335527976, 0.2101678917201193, -0.22985583761058398,
-      0.038894035290988366,
-    ],
-    [
-      -0.03399463335527976, 0.2101678917201193, -0.13675769999656268,
-      -0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, 0.2101678917201193, -0.09512294713984637,
-      0.21283344895083994,
-    ],
-    [
-      -0.03399463335527976, 0.2101678917201193, 0.08124469618760757,
-      -0.21850801222441052,
-    ],
-    [
-      -0.03399463335527976, 0.2101678917201193, 0.14861114142297638,
-      0.17961397693342218,
-    ],
-    [
-      -0.03399463335527976, 0.2101678917201193, 0.23188064713640905,
-      -0.02403783576946872,
-    ],
-    [
-      -0.03399463335527976, 0.24942151315746608, -0.1506359509488015,
-      0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, 0.24942151315746608, -0.025731692378652474,
-      -0.18879561318137122,
-    ],
-    [
-      -0.03399463335527976, 0.24942151315746608, 0.17636764332745397,
-      0.07211350730840616,
-    ],
-    [
-      -0.03399463335527976, 0.28867513459481287, -0.12287944904432392,
-      0.009181636247949067,
-    ],
-    [
-      -0.03399463335527976, 0.28867513459481287, -0.08124469618760757,
-      -0.09264427010349638,
-    ],
-    [
-      -0.03399463335527976, 0.28867513459481287, -0.039609943330891254,
-      0.1166821058729651,
-    ],
-    [
-      -0.03399463335527976, 0.28867513459481287, 0.053488194283130036,
-      -0.11100754259939452,
-    ],
-    [
-      -0.03399463335527976, 0.28867513459481287, 0.0693912547611939,
-      0.10182590635144545,
-    ],
-    [
-      -0.03399463335527976, 0.28867513459481287, 0.12085463951849884,
-      -0.02403783576946872,
-    ],
-    [0.0, -0.3083019453134863, -0.0673664452353688, 0.009181636247949067],
-    [0.0, -0.3083019453134863, -0.041634752856716334, -0.05375023481250801],
-    [0.0, -0.3083019453134863, -0.025731692378652474, 0.06293187106045708],
-    [0.0, -0.3083019453134863, 0.025731692378652474, -0.06293187106045708],
-    [0.0, -0.3083019453134863, 0.041634752856716334, 0.05375023481250801],
-    [0.0, -0.3083019453134863, 0.0673664452353688, -0.009181636247949067],
-    [0.0, -0.26904832387613953, -0.14861114142297638, 0.07211350730840616],
-    [0.0, -0.26904832387613953, -0.10697638856626007, 0.12586374212091417],
-    [0.0, -0.26904832387613953, -0.055513003808955116, -0.15557614116395346],
-    [0.0, -0.26904832387613953, 0.011853441426413699, -0.1647577774119025],
-    [0.0, -0.26904832387613953, 0.13675769999656268, 0.09264427010349638],
-    [0.0, -0.26904832387613953, 0.16248939237521515, 0.029712399043039295],
-    [0.0, -0.2297947024387927, -0.2041241452319315, 0.07211350730840616],
-    [0.0, -0.2297947024387927, -0.12085463951849884, 0.17961397693342218],
-    [0.0, -0.2297947024387927, -0.09512294713984637, -0.1944701764549418],
-    [0.0, -0.2297947024387927, 0.039609943330891254, -0.21283344895083994],
-    [0.0, -0.2297947024387927, 0.16451420190104027, 0.1407199416424338],
-    [0.0, -0.2297947024387927, 0.2159775866583452, 0.014856199521519647],
-    [0.0, -0.1905410810014459, -0.21800239618417028, 0.12586374212091417],
-    [0.0, -0.1905410810014459, -0.17636764332745397, 0.17961397693342218],
-    [0.0, -0.1905410810014459, -0.0673664452353688, -0.24254584799387924],
-    [0.0, -0.1905410810014459, 0.0, -0.25172748424182834],
-    [0.0, -0.1905410810014459, 0.21800239618417028, 0.12586374212091417],
-    [0.0, -0.1905410810014459, 0.24373408856282275, 0.06293187106045708],
-    [0.0, -0.16628100877164403, -0.2682143798337708, 0.009181636247949067],
-    [0.0, -0.16628100877164403, -0.1849448741203381, -0.1944701764549418],
-    [0.0, -0.16628100877164403, -0.07594367602825297, 0.25740204751539886],
-    [0.0, -0.16628100877164403, 0.12615565967785347, -0.23687128472030866],
-    [0.0, -0.16628100877164403, 0.1420587201559173, 0.22768964847235962],
-    [0.0, -0.16628100877164403, 0.260888550148591, -0.06293187106045708],
-    [0.0, -0.14202093654184222, -0.2767916106266549, -0.05375023481250801],
-    [0.0, -0.14202093654184222, -0.2351568577699386, -0.15557614116395346],
-    [0.0, -0.14202093654184222, -0.01715446158576832, 0.2814398832848676],
-    [0.0, -0.14202093654184222, 0.09184673650631683, 0.26658368376334796],
-    [0.0, -0.14202093654184222, 0.1849448741203381, -0.21283344895083994],
-    [0.0, -0.14202093654184222, 0.25231131935570694, -0.12586374212091417],
-    [0.0, -0.12702738733429725, -0.28209263078600955, 0.06293187106045708],
-    [0.0, -0.12702738733429725, -0.15718837221586057, -0.24254584799387924],
-    [0.0, -0.12702738733429725, -0.1314566798372081, 0.25740204751539886],
-    [0.0, -0.12702738733429725, 0.0865457163469622, -0.27576532001129705],
-    [0.0, -0.12702738733429725, 0.19554691443904737, 0.21283344895083994],
-    [0.0, -0.12702738733429725, 0.2886450520530687, -0.014856199521519647],
-    [0.0, -0.0785072428746936, -0.2992470923717778, -0.06293187106045708],
-    [0.0, -0.0785072428746936, -0.2576123395150616, -0.1647577774119025],
-    [0.0, -0.0785072428746936, -0.013878250952238779, 0.3054777190543363],
-    [0.0, -0.0785072428746936, 0.09512294713984637, 0.2906215195328167],
-    [0.0, -0.0785072428746936, 0.2041241452319315, -0.22768964847235962],
-    [0.0, -0.0785072428746936, 0.2714905904673003, -0.1407199416424338],
-    [0.0, -0.06351369366714862, -0.30454811253113245, 0.05375023481250801],
-    [0.0, -0.06351369366714862, -0.17964385396098348, -0.25172748424182834],
-    [0.0, -0.06351369366714862, -0.12818046920367854, 0.2814398832848676],
-    [0.0, -0.06351369366714862, 0.1057249874585556, -0.2906215195328167],
-    [0.0, -0.06351369366714862, 0.19882312507257688, 0.23687128472030866],
-    [0.0, -0.06351369366714862, 0.307824323164662, -0.029712399043039295],
-    [0.0, -0.0392536214373468, -0.31312534332401665, -0.009181636247949067],
-    [0.0, -0.0392536214373468, -0.22985583761058398, -0.21283344895083994],
-    [0.0, -0.0392536214373468, -0.0693912547611939, 0.3054777190543363],
-    [0.0, -0.0392536214373468, 0.14861114142297638, 0.27576532001129705],
-    [0.0, -0.0392536214373468, 0.16451420190104027, -0.26658368376334796],
-    [0.0, -0.0392536214373468, 0.2992470923717778, -0.09264427010349638],
-    [0.0, 0.0392536214373468, -0.2992470923717778, 0.09264427010349638],
-    [0.0, 0.0392536214373468, -0.16451420190104027, 0.26658368376334796],
-    [0.0, 0.0392536214373468, -0.14861114142297638, -0.27576532001129705],
-    [0.0, 0.0392536214373468, 0.0693912547611939, -0.3054777190543363],
-    [0.0, 0.0392536214373468, 0.22985583761058398, 0.21283344895083994],
-    [0.0, 0.0392536214373468, 0.31312534332401665, 0.009181636247949067],
-    [0.0, 0.06351369366714862, -0.307824323164662, 0.029712399043039295],
-    [0.0, 0.06351369366714862, -0.19882312507257688, -0.23687128472030866],
-    [0.0, 0.06351369366714862, -0.1057249874585556, 0.2906215195328167],
-    [0.0, 0.06351369366714862, 0.12818046920367854, -0.2814398832848676],
-    [0.0, 0.06351369366714862, 0.17964385396098348, 0.25172748424182834],
-    [0.0, 0.06351369366714862, 0.30454811253113245, -0.05375023481250801],
-    [0.0, 0.0785072428746936, -0.2714905904673003, 0.1407199416424338],
-    [0.0, 0.0785072428746936, -0.2041241452319315, 0.22768964847235962],
-    [0.0, 0.0785072428746936, -0.09512294713984637, -0.2906215195328167],
-    [0.0, 0.0785072428746936, 0.013878250952238779, -0.3054777190543363],
-    [0.0, 0.0785072428746936, 0.2576123395150616, 0.1647577774119025],
-    [0.0, 0.0785072428746936, 0.2992470923717778, 0.06293187106045708],
-    [0.0, 0.12702738733429725, -0.2886450520530687, 0.014856199521519647],
-    [0.0, 0.12702738733429725, -0.19554691443904737, -0.21283344895083994],
-    [0.0, 0.12702738733429725, -0.0865457163469622, 0.27576532001129705],
-    [0.0, 0.12702738733429725, 0.1314566798372081, -0.25740204751539886],
-    [0.0, 0.12702738733429725, 0.15718837221586057, 0.24254584799387924],
-    [0.0, 0.12702738733429725, 0.28209263078600955, -0.06293187106045708],
-    [0.0, 0.14202093654184222, -0.25231131935570694, 0.12586374212091417],
-    [0.0, 0.14202093654184222, -0.1849448741203381, 0.21283344895083994],
-    [0.0, 0.14202093654184222, -0.09184673650631683, -0.26658368376334796],
-    [0.0, 0.14202093654184222, 0.01715446158576832, -0.2814398832848676],
-    [0.0, 0.14202093654184222, 0.2351568577699386, 0.15557614116395346],
-    [0.0, 0.14202093654184222, 0.2767916106266549, 0.05375023481250801],
-    [0.0, 0.16628100877164403, -0.260888550148591, 0.06293187106045708],
-    [0.0, 0.16628100877164403, -0.1420587201559173, -0.22768964847235962],
-    [0.0, 0.16628100877164403, -0.12615565967785347, 0.23687128472030866],
-    [0.0, 0.16628100877164403, 0.07594367602825297, -0.25740204751539886],
-    [0.0, 0.16628100877164403, 0.1849448741203381, 0.1944701764549418],
-    [0.0, 0.16628100877164403, 0.2682143798337708, -0.009181636247949067],
-    [0.0, 0.1905410810014459, -0.24373408856282275, -0.06293187106045708],
-    [0.0, 0.1905410810014459, -0.21800239618417028, -0.12586374212091417],
-    [0.0, 0.1905410810014459, 0.0, 0.25172748424182834],
-    [0.0, 0.1905410810014459, 0.0673664452353688, 0.24254584799387924],
-    [0.0, 0.1905410810014459, 0.17636764332745397, -0.17961397693342218],
-    [0.0, 0.1905410810014459, 0.21800239618417028, -0.12586374212091417],
-    [0.0, 0.2297947024387927, -0.2159775866583452, -0.014856199521519647],
-    [0.0, 0.2297947024387927, -0.16451420190104027, -0.1407199416424338],
-    [0.0, 0.2297947024387927, -0.039609943330891254, 0.21283344895083994],
-    [0.0, 0.2297947024387927, 0.09512294713984637, 0.1944701764549418],
-    [0.0, 0.2297947024387927, 0.12085463951849884, -0.17961397693342218],
-    [0.0, 0.2297947024387927, 0.2041241452319315, -0.07211350730840616],
-    [0.0, 0.26904832387613953, -0.16248939237521515, -0.029712399043039295],
-    [0.0, 0.26904832387613953, -0.13675769999656268, -0.09264427010349638],
-    [0.0, 0.26904832387613953, -0.011853441426413699, 0.1647577774119025],
-    [0.0, 0.26904832387613953, 0.055513003808955116, 0.15557614116395346],
-    [0.0, 0.26904832387613953, 0.10697638856626007, -0.12586374212091417],
-    [0.0, 0.26904832387613953, 0.14861114142297638, -0.07211350730840616],
-    [0.0, 0.3083019453134863, -0.0673664452353688, 0.009181636247949067],
-    [0.0, 0.3083019453134863, -0.041634752856716334, -0.05375023481250801],
-    [0.0, 0.3083019453134863, -0.025731692378652474, 0.06293187106045708],
-    [0.0, 0.3083019453134863, 0.025731692378652474, -0.06293187106045708],
-    [0.0, 0.3083019453134863, 0.041634752856716334, 0.05375023481250801],
-    [0.0, 0.3083019453134863, 0.0673664452353688, -0.009181636247949067],
-    [
-      0.03399463335527976, -0.28867513459481287, -0.12085463951849884,
-      0.02403783576946872,
-    ],
-    [
-      0.03399463335527976, -0.28867513459481287, -0.0693912547611939,
-      -0.10182590635144545,
-    ],
-    [
-      0.03399463335527976, -0.28867513459481287, -0.053488194283130036,
-      0.11100754259939452,
-    ],
-    [
-      0.03399463335527976, -0.28867513459481287, 0.039609943330891254,
-      -0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, -0.28867513459481287, 0.08124469618760757,
-      0.09264427010349638,
-    ],
-    [
-      0.03399463335527976, -0.28867513459481287, 0.12287944904432392,
-      -0.009181636247949067,
-    ],
-    [
-      0.03399463335527976, -0.24942151315746608, -0.17636764332745397,
-      -0.07211350730840616,
-    ],
-    [
-      0.03399463335527976, -0.24942151315746608, 0.025731692378652474,
-      0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, -0.24942151315746608, 0.1506359509488015,
-      -0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, -0.2101678917201193, -0.23188064713640905,
-      0.02403783576946872,
-    ],
-    [
-      0.03399463335527976, -0.2101678917201193, -0.14861114142297638,
-      -0.17961397693342218,
-    ],
-    [
-      0.03399463335527976, -0.2101678917201193, -0.08124469618760757,
-      0.21850801222441052,
-    ],
-    [
-      0.03399463335527976, -0.2101678917201193, 0.09512294713984637,
-      -0.21283344895083994,
-    ],
-    [
-      0.03399463335527976, -0.2101678917201193, 0.13675769999656268,
-      0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, -0.2101678917201193, 0.22985583761058398,
-      -0.038894035290988366,
-    ],
-    [
-      0.03399463335527976, -0.16164774726051562, -0.24903510872217738,
-      -0.10182590635144545,
-    ],
-    [
-      0.03399463335527976, -0.16164774726051562, 0.03633373269736172,
-      0.26658368376334796,
-    ],
-    [
-      0.03399463335527976, -0.16164774726051562, 0.21270137602481565,
-      -0.1647577774119025,
-    ],
-    [
-      0.03399463335527976, -0.14665419805297064, -0.254336128881532,
-      0.11100754259939452,
-    ],
-    [
-      0.03399463335527976, -0.14665419805297064, -0.17106662316809934,
-      0.21850801222441052,
-    ],
-    [
-      0.03399463335527976, -0.14665419805297064, -0.10370017793273054,
-      -0.25740204751539886,
-    ],
-    [
-      0.03399463335527976, -0.14665419805297064, 0.031032712538007094,
-      -0.27576532001129705,
-    ],
-    [
-      0.03399463335527976, -0.14665419805297064, 0.2233034163435249,
-      0.1647577774119025,
-    ],
-    [
-      0.03399463335527976, -0.14665419805297064, 0.27476680110082985,
-      0.038894035290988366,
-    ],
-    [
-      0.03399463335527976, -0.05888043215602021, -0.2853688414195391,
-      -0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, -0.05888043215602021, -0.24373408856282275,
-      0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, -0.05888043215602021, -0.041634752856716334,
-      -0.3054777190543363,
-    ],
-    [
-      0.03399463335527976, -0.05888043215602021, 0.041634752856716334,
-      0.3054777190543363,
-    ],
-    [
-      0.03399463335527976, -0.05888043215602021, 0.24373408856282275,
-      -0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, -0.05888043215602021, 0.2853688414195391,
-      0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, -0.0196268107186734, -0.2992470923717778,
-      0.09264427010349638,
-    ],
-    [
-      0.03399463335527976, -0.0196268107186734, -0.16451420190104027,
-      0.26658368376334796,
-    ],
-    [
-      0.03399463335527976, -0.0196268107186734, -0.14861114142297638,
-      -0.27576532001129705,
-    ],
-    [
-      0.03399463335527976, -0.0196268107186734, 0.0693912547611939,
-      -0.3054777190543363,
-    ],
-    [
-      0.03399463335527976, -0.0196268107186734, 0.22985583761058398,
-      0.21283344895083994,
-    ],
-    [
-      0.03399463335527976, -0.0196268107186734, 0.31312534332401665,
-      0.009181636247949067,
-    ],
-    [
-      0.03399463335527976, 0.0196268107186734, -0.31312534332401665,
-      -0.009181636247949067,
-    ],
-    [
-      0.03399463335527976, 0.0196268107186734, -0.22985583761058398,
-      -0.21283344895083994,
-    ],
-    [
-      0.03399463335527976, 0.0196268107186734, -0.0693912547611939,
-      0.3054777190543363,
-    ],
-    [
-      0.03399463335527976, 0.0196268107186734, 0.14861114142297638,
-      0.27576532001129705,
-    ],
-    [
-      0.03399463335527976, 0.0196268107186734, 0.16451420190104027,
-      -0.26658368376334796,
-    ],
-    [
-      0.03399463335527976, 0.0196268107186734, 0.2992470923717778,
-      -0.09264427010349638,
-    ],
-    [
-      0.03399463335527976, 0.05888043215602021, -0.2853688414195391,
-      -0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, 0.05888043215602021, -0.24373408856282275,
-      0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, 0.05888043215602021, -0.041634752856716334,
-      -0.3054777190543363,
-    ],
-    [
-      0.03399463335527976, 0.05888043215602021, 0.041634752856716334,
-      0.3054777190543363,
-    ],
-    [
-      0.03399463335527976, 0.05888043215602021, 0.24373408856282275,
-      -0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, 0.05888043215602021, 0.2853688414195391,
-      0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, 0.14665419805297064, -0.27476680110082985,
-      -0.038894035290988366,
-    ],
-    [
-      0.03399463335527976, 0.14665419805297064, -0.2233034163435249,
-      -0.1647577774119025,
-    ],
-    [
-      0.03399463335527976, 0.14665419805297064, -0.031032712538007094,
-      0.27576532001129705,
-    ],
-    [
-      0.03399463335527976, 0.14665419805297064, 0.10370017793273054,
-      0.25740204751539886,
-    ],
-    [
-      0.03399463335527976, 0.14665419805297064, 0.17106662316809934,
-      -0.21850801222441052,
-    ],
-    [
-      0.03399463335527976, 0.14665419805297064, 0.254336128881532,
-      -0.11100754259939452,
-    ],
-    [
-      0.03399463335527976, 0.16164774726051562, -0.21270137602481565,
-      0.1647577774119025,
-    ],
-    [
-      0.03399463335527976, 0.16164774726051562, -0.03633373269736172,
-      -0.26658368376334796,
-    ],
-    [
-      0.03399463335527976, 0.16164774726051562, 0.24903510872217738,
-      0.10182590635144545,
-    ],
-    [
-      0.03399463335527976, 0.2101678917201193, -0.22985583761058398,
-      0.038894035290988366,
-    ],
-    [
-      0.03399463335527976, 0.2101678917201193, -0.13675769999656268,
-      -0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, 0.2101678917201193, -0.09512294713984637,
-      0.21283344895083994,
-    ],
-    [
-      0.03399463335527976, 0.2101678917201193, 0.08124469618760757,
-      -0.21850801222441052,
-    ],
-    [
-      0.03399463335527976, 0.2101678917201193, 0.14861114142297638,
-      0.17961397693342218,
-    ],
-    [
-      0.03399463335527976, 0.2101678917201193, 0.23188064713640905,
-      -0.02403783576946872,
-    ],
-    [
-      0.03399463335527976, 0.24942151315746608, -0.1506359509488015,
-      0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, 0.24942151315746608, -0.025731692378652474,
-      -0.18879561318137122,
-    ],
-    [
-      0.03399463335527976, 0.24942151315746608, 0.17636764332745397,
-      0.07211350730840616,
-    ],
-    [
-      0.03399463335527976, 0.28867513459481287, -0.12287944904432392,
-      0.009181636247949067,
-    ],
-    [
-      0.03399463335527976, 0.28867513459481287, -0.08124469618760757,
-      -0.09264427010349638,
-    ],
-    [
-      0.03399463335527976, 0.28867513459481287, -0.039609943330891254,
-      0.1166821058729651,
-    ],
-    [
-      0.03399463335527976, 0.28867513459481287, 0.053488194283130036,
-      -0.11100754259939452,
-    ],
-    [
-      0.03399463335527976, 0.28867513459481287, 0.0693912547611939,
-      0.10182590635144545,
-    ],
-    [
-      0.03399463335527976, 0.28867513459481287, 0.12085463951849884,
-      -0.02403783576946872,
-    ],
-    [
-      0.055004472203933535, -0.3008051707097138, -0.06206542507601419,
-      0.04807567153893744,
-    ],
-    [
-      0.055004472203933535, -0.3008051707097138, -0.01060204031870924,
-      -0.07778807058197673,
-    ],
-    [
-      0.055004472203933535, -0.3008051707097138, 0.07266746539472344,
-      0.029712399043039295,
-    ],
-    [
-      0.055004472203933535, -0.27654509847991193, -0.11227740872561467,
-      0.0869697068299258,
-    ],
-    [
-      0.055004472203933535, -0.27654509847991193, -0.0191792711115934,
-      -0.1407199416424338,
-    ],
-    [
-      0.055004472203933535, -0.27654509847991193, 0.1314566798372081,
-      0.05375023481250801,
-    ],
-    [
-      0.055004472203933535, -0.19803785560521836, -0.2233034163435249,
-      0.0869697068299258,
-    ],
-    [
-      0.055004472203933535, -0.19803785560521836, -0.14003391063009224,
-      0.1944701764549418,
-    ],
-    [
-      0.055004472203933535, -0.19803785560521836, -0.0983991577733759,
-      -0.21850801222441052,
-    ],
-    [
-      0.055004472203933535, -0.19803785560521836, 0.03633373269736172,
-      -0.23687128472030866,
-    ],
-    [
-      0.055004472203933535, -0.19803785560521836, 0.18696968364616318,
-      0.1499015778903829,
-    ],
-    [
-      0.055004472203933535, -0.19803785560521836, 0.23843306840346812,
-      0.02403783576946872,
-    ],
-    [
-      0.055004472203933535, -0.15878423416787157, -0.2629133596744162,
-      0.04807567153893744,
-    ],
-    [
-      0.055004472203933535, -0.15878423416787157, -0.153912161582331,
-      -0.21850801222441052,
-    ],
-    [
-      0.055004472203933535, -0.15878423416787157, -0.11227740872561467,
-      0.24254584799387924,
-    ],
-    [
-      0.055004472203933535, -0.15878423416787157, 0.08982192698049174,
-      -0.25172748424182834,
-    ],
-    [
-      0.055004472203933535, -0.15878423416787157, 0.1730914326939244,
-      0.2036518127028909,
-    ],
-    [
-      0.055004472203933535, -0.15878423416787157, 0.26618957030794566,
-      -0.02403783576946872,
-    ],
-    [
-      0.055004472203933535, -0.11026408970826793, -0.2800678212601845,
-      -0.07778807058197673,
-    ],
-    [
-      0.055004472203933535, -0.11026408970826793, -0.254336128881532,
-      -0.1407199416424338,
-    ],
-    [
-      0.055004472203933535, -0.11026408970826793, 0.00530102015935462,
-      0.2906215195328167,
-    ],
-    [
-      0.055004472203933535, -0.11026408970826793, 0.07266746539472344,
-      0.2814398832848676,
-    ],
-    [
-      0.055004472203933535, -0.11026408970826793, 0.20740035586546107,
-      -0.2036518127028909,
-    ],
-    [
-      0.055004472203933535, -0.11026408970826793, 0.24903510872217738,
-      -0.1499015778903829,
-    ],
-    [
-      0.055004472203933535, -0.03175684683357431, -0.307824323164662,
-      0.029712399043039295,
-    ],
-    [
-      0.055004472203933535, -0.03175684683357431, -0.19882312507257688,
-      -0.23687128472030866,
-    ],
-    [
-      0.055004472203933535, -0.03175684683357431, -0.1057249874585556,
-      0.2906215195328167,
-    ],
-    [
-      0.055004472203933535, -0.03175684683357431, 0.12818046920367854,
-      -0.2814398832848676,
-    ],
-    [
-      0.055004472203933535, -0.03175684683357431, 0.17964385396098348,
-      0.25172748424182834,
-    ],
-    [
-      0.055004472203933535, -0.03175684683357431, 0.30454811253113245,
-      -0.05375023481250801,
-    ],
-    [
-      0.055004472203933535, 0.03175684683357431, -0.30454811253113245,
-      0.05375023481250801,
-    ],
-    [
-      0.055004472203933535, 0.03175684683357431, -0.17964385396098348,
-      -0.25172748424182834,
-    ],
-    [
-      0.055004472203933535, 0.03175684683357431, -0.12818046920367854,
-      0.2814398832848676,
-    ],
-    [
-      0.055004472203933535, 0.03175684683357431, 0.1057249874585556,
-      -0.2906215195328167,
-    ],
-    [
-      0.055004472203933535, 0.03175684683357431, 0.19882312507257688,
-      0.23687128472030866,
-    ],
-    [
-      0.055004472203933535, 0.03175684683357431, 0.307824323164662,
-      -0.029712399043039295,
-    ],
-    [
-      0.055004472203933535, 0.11026408970826793, -0.24903510872217738,
-      0.1499015778903829,
-    ],
-    [
-      0.055004472203933535, 0.11026408970826793, -0.20740035586546107,
-      0.2036518127028909,
-    ],
-    [
-      0.055004472203933535, 0.11026408970826793, -0.07266746539472344,
-      -0.2814398832848676,
-    ],
-    [
-      0.055004472203933535, 0.11026408970826793, -0.00530102015935462,
-      -0.2906215195328167,
-    ],
-    [
-      0.055004472203933535, 0.11026408970826793, 0.254336128881532,
-      0.1407199416424338,
-    ],
-    [
-      0.055004472203933535, 0.11026408970826793, 0.2800678212601845,
-      0.07778807058197673,
-    ],
-    [
-      0.055004472203933535, 0.15878423416787157, -0.26618957030794566,
-      0.02403783576946872,
-    ],
-    [
-      0.055004472203933535, 0.15878423416787157, -0.1730914326939244,
-      -0.2036518127028909,
-    ],
-    [
-      0.055004472203933535, 0.15878423416787157, -0.08982192698049174,
-      0.25172748424182834,
-    ],
-    [
-      0.055004472203933535, 0.15878423416787157, 0.11227740872561467,
-      -0.24254584799387924,
-    ],
-    [
-      0.055004472203933535, 0.15878423416787157, 0.153912161582331,
-      0.21850801222441052,
-    ],
-    [
-      0.055004472203933535, 0.15878423416787157, 0.2629133596744162,
-      -0.04807567153893744,
-    ],
-    [
-      0.055004472203933535, 0.19803785560521836, -0.23843306840346812,
-      -0.02403783576946872,
-    ],
-    [
-      0.055004472203933535, 0.19803785560521836, -0.18696968364616318,
-      -0.1499015778903829,
-    ],
-    [
-      0.055004472203933535, 0.19803785560521836, -0.03633373269736172,
-      0.23687128472030866,
-    ],
-    [
-      0.055004472203933535, 0.19803785560521836, 0.0983991577733759,
-      0.21850801222441052,
-    ],
-    [
-      0.055004472203933535, 0.19803785560521836, 0.14003391063009224,
-      -0.1944701764549418,
-    ],
-    [
-      0.055004472203933535, 0.19803785560521836, 0.2233034163435249,
-      -0.0869697068299258,
-    ],
-    [
-      0.055004472203933535, 0.27654509847991193, -0.1314566798372081,
-      -0.05375023481250801,
-    ],
-    [
-      0.055004472203933535, 0.27654509847991193, 0.0191792711115934,
-      0.1407199416424338,
-    ],
-    [
-      0.055004472203933535, 0.27654509847991193, 0.11227740872561467,
-      -0.0869697068299258,
-    ],
-    [
-      0.055004472203933535, 0.3008051707097138, -0.07266746539472344,
-      -0.029712399043039295,
-    ],
-    [
-      0.055004472203933535, 0.3008051707097138, 0.01060204031870924,
-      0.07778807058197673,
-    ],
-    [
-      0.055004472203933535, 0.3008051707097138, 0.06206542507601419,
-      -0.04807567153893744,
-    ],
-    [
-      0.06798926671055952, -0.26904832387613953, -0.14861114142297638,
-      -0.02403783576946872,
-    ],
-    [
-      0.06798926671055952, -0.26904832387613953, -0.12287944904432392,
-      -0.0869697068299258,
-    ],
-    [
-      0.06798926671055952, -0.26904832387613953, -0.013878250952238779,
-      0.1499015778903829,
-    ],
-    [
-      0.06798926671055952, -0.26904832387613953, 0.053488194283130036,
-      0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, -0.26904832387613953, 0.09512294713984637,
-      -0.1166821058729651,
-    ],
-    [
-      0.06798926671055952, -0.26904832387613953, 0.13675769999656268,
-      -0.06293187106045708,
-    ],
-    [
-      0.06798926671055952, -0.2297947024387927, -0.2041241452319315,
-      -0.02403783576946872,
-    ],
-    [
-      0.06798926671055952, -0.2297947024387927, -0.16248939237521515,
-      -0.12586374212091417,
-    ],
-    [
-      0.06798926671055952, -0.2297947024387927, -0.027756501904477558,
-      0.2036518127028909,
-    ],
-    [
-      0.06798926671055952, -0.2297947024387927, 0.08124469618760757,
-      0.18879561318137122,
-    ],
-    [
-      0.06798926671055952, -0.2297947024387927, 0.12287944904432392,
-      -0.1647577774119025,
-    ],
-    [
-      0.06798926671055952, -0.2297947024387927, 0.19024589427969274,
-      -0.07778807058197673,
-    ],
-    [
-      0.06798926671055952, -0.20553463020899088, -0.21270137602481565,
-      -0.0869697068299258,
-    ],
-    [
-      0.06798926671055952, -0.20553463020899088, 0.031032712538007094,
-      0.22768964847235962,
-    ],
-    [
-      0.06798926671055952, -0.20553463020899088, 0.18166866348680855,
-      -0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, -0.10276731510449544, -0.24903510872217738,
-      0.1499015778903829,
-    ],
-    [
-      0.06798926671055952, -0.10276731510449544, -0.20740035586546107,
-      0.2036518127028909,
-    ],
-    [
-      0.06798926671055952, -0.10276731510449544, -0.07266746539472344,
-      -0.2814398832848676,
-    ],
-    [
-      0.06798926671055952, -0.10276731510449544, -0.00530102015935462,
-      -0.2906215195328167,
-    ],
-    [
-      0.06798926671055952, -0.10276731510449544, 0.254336128881532,
-      0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, -0.10276731510449544, 0.2800678212601845,
-      0.07778807058197673,
-    ],
-    [
-      0.06798926671055952, -0.0392536214373468, -0.2714905904673003,
-      0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, -0.0392536214373468, -0.2041241452319315,
-      0.22768964847235962,
-    ],
-    [
-      0.06798926671055952, -0.0392536214373468, -0.09512294713984637,
-      -0.2906215195328167,
-    ],
-    [
-      0.06798926671055952, -0.0392536214373468, 0.013878250952238779,
-      -0.3054777190543363,
-    ],
-    [
-      0.06798926671055952, -0.0392536214373468, 0.2576123395150616,
-      0.1647577774119025,
-    ],
-    [
-      0.06798926671055952, -0.0392536214373468, 0.2992470923717778,
-      0.06293187106045708,
-    ],
-    [0.06798926671055952, 0.0, -0.2853688414195391, -0.1166821058729651],
-    [0.06798926671055952, 0.0, -0.24373408856282275, 0.18879561318137122],
-    [0.06798926671055952, 0.0, -0.041634752856716334, -0.3054777190543363],
-    [0.06798926671055952, 0.0, 0.041634752856716334, 0.3054777190543363],
-    [0.06798926671055952, 0.0, 0.24373408856282275, -0.18879561318137122],
-    [0.06798926671055952, 0.0, 0.2853688414195391, 0.1166821058729651],
-    [
-      0.06798926671055952, 0.0392536214373468, -0.2992470923717778,
-      -0.06293187106045708,
-    ],
-    [
-      0.06798926671055952, 0.0392536214373468, -0.2576123395150616,
-      -0.1647577774119025,
-    ],
-    [
-      0.06798926671055952, 0.0392536214373468, -0.013878250952238779,
-      0.3054777190543363,
-    ],
-    [
-      0.06798926671055952, 0.0392536214373468, 0.09512294713984637,
-      0.2906215195328167,
-    ],
-    [
-      0.06798926671055952, 0.0392536214373468, 0.2041241452319315,
-      -0.22768964847235962,
-    ],
-    [
-      0.06798926671055952, 0.0392536214373468, 0.2714905904673003,
-      -0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, 0.10276731510449544, -0.2800678212601845,
-      -0.07778807058197673,
-    ],
-    [
-      0.06798926671055952, 0.10276731510449544, -0.254336128881532,
-      -0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, 0.10276731510449544, 0.00530102015935462,
-      0.2906215195328167,
-    ],
-    [
-      0.06798926671055952, 0.10276731510449544, 0.07266746539472344,
-      0.2814398832848676,
-    ],
-    [
-      0.06798926671055952, 0.10276731510449544, 0.20740035586546107,
-      -0.2036518127028909,
-    ],
-    [
-      0.06798926671055952, 0.10276731510449544, 0.24903510872217738,
-      -0.1499015778903829,
-    ],
-    [
-      0.06798926671055952, 0.20553463020899088, -0.18166866348680855,
-      0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, 0.20553463020899088, -0.031032712538007094,
-      -0.22768964847235962,
-    ],
-    [
-      0.06798926671055952, 0.20553463020899088, 0.21270137602481565,
-      0.0869697068299258,
-    ],
-    [
-      0.06798926671055952, 0.2297947024387927, -0.19024589427969274,
-      0.07778807058197673,
-    ],
-    [
-      0.06798926671055952, 0.2297947024387927, -0.12287944904432392,
-      0.1647577774119025,
-    ],
-    [
-      0.06798926671055952, 0.2297947024387927, -0.08124469618760757,
-      -0.18879561318137122,
-    ],
-    [
-      0.06798926671055952, 0.2297947024387927, 0.027756501904477558,
-      -0.2036518127028909,
-    ],
-    [
-      0.06798926671055952, 0.2297947024387927, 0.16248939237521515,
-      0.12586374212091417,
-    ],
-    [
-      0.06798926671055952, 0.2297947024387927, 0.2041241452319315,
-      0.02403783576946872,
-    ],
-    [
-      0.06798926671055952, 0.26904832387613953, -0.13675769999656268,
-      0.06293187106045708,
-    ],
-    [
-      0.06798926671055952, 0.26904832387613953, -0.09512294713984637,
-      0.1166821058729651,
-    ],
-    [
-      0.06798926671055952, 0.26904832387613953, -0.053488194283130036,
-      -0.1407199416424338,
-    ],
-    [
-      0.06798926671055952, 0.26904832387613953, 0.013878250952238779,
-      -0.1499015778903829,
-    ],
-    [
-      0.06798926671055952, 0.26904832387613953, 0.12287944904432392,
-      0.0869697068299258,
-    ],
-    [
-      0.06798926671055952, 0.26904832387613953, 0.14861114142297638,
-      0.02403783576946872,
-    ],
-    [
-      0.11000894440786707, -0.2933083961059413, -0.031032712538007094,
-      0.02403783576946872,
-    ],
-    [
-      0.11000894440786707, -0.2933083961059413, -0.00530102015935462,
-      -0.038894035290988366,
-    ],
-    [
-      0.11000894440786707, -0.2933083961059413, 0.03633373269736172,
-      0.014856199521519647,
-    ],
-    [
-      0.11000894440786707, -0.24478825164633766, -0.1314566798372081,
-      0.10182590635144545,
-    ],
-    [
-      0.11000894440786707, -0.24478825164633766, -0.022455481745122935,
-      -0.1647577774119025,
-    ],
-    [
-      0.11000894440786707, -0.24478825164633766, 0.153912161582331,
-      0.06293187106045708,
-    ],
-    [
-      0.11000894440786707, -0.20553463020899088, -0.18696968364616318,
-      0.10182590635144545,
-    ],
-    [
-      0.11000894440786707, -0.20553463020899088, -0.14533493078944687,
-      0.15557614116395346,
-    ],
-    [
-      0.11000894440786707, -0.20553463020899088, -0.06206542507601419,
-      -0.2036518127028909,
-    ],
-    [
-      0.11000894440786707, -0.20553463020899088, 0.00530102015935462,
-      -0.21283344895083994,
-    ],
-    [
-      0.11000894440786707, -0.20553463020899088, 0.18166866348680855,
-      0.11100754259939452,
-    ],
-    [
-      0.11000894440786707, -0.20553463020899088, 0.20740035586546107,
-      0.04807567153893744,
-    ],
-    [
-      0.11000894440786707, -0.12702738733429725, -0.26618957030794566,
-      0.02403783576946872,
-    ],
-    [
-      0.11000894440786707, -0.12702738733429725, -0.1730914326939244,
-      -0.2036518127028909,
-    ],
-    [
-      0.11000894440786707, -0.12702738733429725, -0.08982192698049174,
-      0.25172748424182834,
-    ],
-    [
-      0.11000894440786707, -0.12702738733429725, 0.11227740872561467,
-      -0.24254584799387924,
-    ],
-    [
-      0.11000894440786707, -0.12702738733429725, 0.153912161582331,
-      0.21850801222441052,
-    ],
-    [
-      0.11000894440786707, -0.12702738733429725, 0.2629133596744162,
-      -0.04807567153893744,
-    ],
-    [
-      0.11000894440786707, -0.10276731510449544, -0.27476680110082985,
-      -0.038894035290988366,
-    ],
-    [
-      0.11000894440786707, -0.10276731510449544, -0.2233034163435249,
-      -0.1647577774119025,
-    ],
-    [
-      0.11000894440786707, -0.10276731510449544, -0.031032712538007094,
-      0.27576532001129705,
-    ],
-    [
-      0.11000894440786707, -0.10276731510449544, 0.10370017793273054,
-      0.25740204751539886,
-    ],
-    [
-      0.11000894440786707, -0.10276731510449544, 0.17106662316809934,
-      -0.21850801222441052,
-    ],
-    [
-      0.11000894440786707, -0.10276731510449544, 0.254336128881532,
-      -0.11100754259939452,
-    ],
-    [
-      0.11000894440786707, -0.06351369366714862, -0.2886450520530687,
-      0.014856199521519647,
-    ],
-    [
-      0.11000894440786707, -0.06351369366714862, -0.19554691443904737,
-      -0.21283344895083994,
-    ],
-    [
-      0.11000894440786707, -0.06351369366714862, -0.0865457163469622,
-      0.27576532001129705,
-    ],
-    [
-      0.11000894440786707, -0.06351369366714862, 0.1314566798372081,
-      -0.25740204751539886,
-    ],
-    [
-      0.11000894440786707, -0.06351369366714862, 0.15718837221586057,
-      0.24254584799387924,
-    ],
-    [
-      0.11000894440786707, -0.06351369366714862, 0.28209263078600955,
-      -0.06293187106045708,
-    ],
-    [
-      0.11000894440786707, 0.06351369366714862, -0.28209263078600955,
-      0.06293187106045708,
-    ],
-    [
-      0.11000894440786707, 0.06351369366714862, -0.15718837221586057,
-      -0.24254584799387924,
-    ],
-    [
-      0.11000894440786707, 0.06351369366714862, -0.1314566798372081,
-      0.25740204751539886,
-    ],
-    [
-      0.11000894440786707, 0.06351369366714862, 0.0865457163469622,
-      -0.27576532001129705,
-    ],
-    [
-      0.11000894440786707, 0.06351369366714862, 0.19554691443904737,
-      0.21283344895083994,
-    ],
-    [
-      0.11000894440786707, 0.06351369366714862, 0.2886450520530687,
-      -0.014856199521519647,
-    ],
-    [
-      0.11000894440786707, 0.10276731510449544, -0.254336128881532,
-      0.11100754259939452,
-    ],
-    [
-      0.11000894440786707, 0.10276731510449544, -0.17106662316809934,
-      0.21850801222441052,
-    ],
-    [
-      0.11000894440786707, 0.10276731510449544, -0.10370017793273054,
-      -0.25740204751539886,
-    ],
-    [
-      0.11000894440786707, 0.10276731510449544, 0.031032712538007094,
-      -0.27576532001129705,
-    ],
-    [
-      0.11000894440786707, 0.10276731510449544, 0.2233034163435249,
-      0.1647577774119025,
-    ],
-    [
-      0.11000894440786707, 0.10276731510449544, 0.27476680110082985,
-      0.038894035290988366,
-    ],
-    [
-      0.11000894440786707, 0.12702738733429725, -0.2629133596744162,
-      0.04807567153893744,
-    ],
-    [
-      0.11000894440786707, 0.12702738733429725, -0.153912161582331,
-      -0.21850801222441052,
-    ],
-    [
-      0.11000894440786707, 0.12702738733429725, -0.11227740872561467,
-      0.24254584799387924,
-    ],
-    [
-      0.11000894440786707, 0.12702738733429725, 0.08982192698049174,
-      -0.25172748424182834,
-    ],
-    [
-      0.11000894440786707, 0.12702738733429725, 0.1730914326939244,
-      0.2036518127028909,
-    ],
-    [
-      0.11000894440786707, 0.12702738733429725, 0.26618957030794566,
-      -0.02403783576946872,
-    ],
-    [
-      0.11000894440786707, 0.20553463020899088, -0.20740035586546107,
-      -0.04807567153893744,
-    ],
-    [
-      0.11000894440786707, 0.20553463020899088, -0.18166866348680855,
-      -0.11100754259939452,
-    ],
-    [
-      0.11000894440786707, 0.20553463020899088, -0.00530102015935462,
-      0.21283344895083994,
-    ],
-    [
-      0.11000894440786707, 0.20553463020899088, 0.06206542507601419,
-      0.2036518127028909,
-    ],
-    [
-      0.11000894440786707, 0.20553463020899088, 0.14533493078944687,
-      -0.15557614116395346,
-    ],
-    [
-      0.11000894440786707, 0.20553463020899088, 0.18696968364616318,
-      -0.10182590635144545,
-    ],
-    [
-      0.11000894440786707, 0.24478825164633766, -0.153912161582331,
-      -0.06293187106045708,
-    ],
-    [
-      0.11000894440786707, 0.24478825164633766, 0.022455481745122935,
-      0.1647577774119025,
-    ],
-    [
-      0.11000894440786707, 0.24478825164633766, 0.1314566798372081,
-      -0.10182590635144545,
-    ],
-    [
-      0.11000894440786707, 0.2933083961059413, -0.03633373269736172,
-      -0.014856199521519647,
-    ],
-    [
-      0.11000894440786707, 0.2933083961059413, 0.00530102015935462,
-      0.038894035290988366,
-    ],
-    [
-      0.11000894440786707, 0.2933083961059413, 0.031032712538007094,
-      -0.02403783576946872,
-    ],
-    [
-      0.12299373891449306, -0.261551549272367, -0.1175784288849693,
-      -0.04807567153893744,
-    ],
-    [
-      0.12299373891449306, -0.261551549272367, 0.01715446158576832,
-      0.12586374212091417,
-    ],
-    [
-      0.12299373891449306, -0.261551549272367, 0.10042396729920097,
-      -0.07778807058197673,
-    ],
-    [
-      0.12299373891449306, -0.23729147704256515, -0.16779041253456978,
-      -0.009181636247949067,
-    ],
-    [
-      0.12299373891449306, -0.23729147704256515, -0.12615565967785347,
-      -0.11100754259939452,
-    ],
-    [
-      0.12299373891449306, -0.23729147704256515, -0.033057522063832175,
-      0.1647577774119025,
-    ],
-    [
-      0.12299373891449306, -0.23729147704256515, 0.07594367602825297,
-      0.1499015778903829,
-    ],
-    [
-      0.12299373891449306, -0.23729147704256515, 0.09184673650631683,
-      -0.1407199416424338,
-    ],
-    [
-      0.12299373891449306, -0.23729147704256515, 0.15921318174168564,
-      -0.05375023481250801,
-    ],
-    [
-      0.12299373891449306, -0.19803785560521836, -0.20740035586546107,
-      -0.04807567153893744,
-    ],
-    [
-      0.12299373891449306, -0.19803785560521836, -0.18166866348680855,
-      -0.11100754259939452,
-    ],
-    [
-      0.12299373891449306, -0.19803785560521836, -0.00530102015935462,
-      0.21283344895083994,
-    ],
-    [
-      0.12299373891449306, -0.19803785560521836, 0.06206542507601419,
-      0.2036518127028909,
-    ],
-    [
-      0.12299373891449306, -0.19803785560521836, 0.14533493078944687,
-      -0.15557614116395346,
-    ],
-    [
-      0.12299373891449306, -0.19803785560521836, 0.18696968364616318,
-      -0.10182590635144545,
-    ],
-    [
-      0.12299373891449306, -0.11026408970826793, -0.21270137602481565,
-      0.1647577774119025,
-    ],
-    [
-      0.12299373891449306, -0.11026408970826793, -0.03633373269736172,
-      -0.26658368376334796,
-    ],
-    [
-      0.12299373891449306, -0.11026408970826793, 0.24903510872217738,
-      0.10182590635144545,
-    ],
-    [
-      0.12299373891449306, -0.07101046827092111, -0.25231131935570694,
-      0.12586374212091417,
-    ],
-    [
-      0.12299373891449306, -0.07101046827092111, -0.1849448741203381,
-      0.21283344895083994,
-    ],
-    [
-      0.12299373891449306, -0.07101046827092111, -0.09184673650631683,
-      -0.26658368376334796,
-    ],
-    [
-      0.12299373891449306, -0.07101046827092111, 0.01715446158576832,
-      -0.2814398832848676,
-    ],
-    [
-      0.12299373891449306, -0.07101046827092111, 0.2351568577699386,
-      0.15557614116395346,
-    ],
-    [
-      0.12299373891449306, -0.07101046827092111, 0.2767916106266549,
-      0.05375023481250801,
-    ],
-    [
-      0.12299373891449306, -0.007496774603772488, -0.24903510872217738,
-      0.1499015778903829,
-    ],
-    [
-      0.12299373891449306, -0.007496774603772488, -0.20740035586546107,
-      0.2036518127028909,
-    ],
-    [
-      0.12299373891449306, -0.007496774603772488, -0.07266746539472344,
-      -0.2814398832848676,
-    ],
-    [
-      0.12299373891449306, -0.007496774603772488, -0.00530102015935462,
-      -0.2906215195328167,
-    ],
-    [
-      0.12299373891449306, -0.007496774603772488, 0.254336128881532,
-      0.1407199416424338,
-    ],
-    [
-      0.12299373891449306, -0.007496774603772488, 0.2800678212601845,
-      0.07778807058197673,
-    ],
-    [
-      0.12299373891449306, 0.007496774603772488, -0.2800678212601845,
-      -0.07778807058197673,
-    ],
-    [
-      0.12299373891449306, 0.007496774603772488, -0.254336128881532,
-      -0.1407199416424338,
-    ],
-    [
-      0.12299373891449306, 0.007496774603772488, 0.00530102015935462,
-      0.2906215195328167,
-    ],
-    [
-      0.12299373891449306, 0.007496774603772488, 0.07266746539472344,
-      0.2814398832848676,
-    ],
-    [
-      0.12299373891449306, 0.007496774603772488, 0.20740035586546107,
-      -0.2036518127028909,
-    ],
-    [
-      0.12299373891449306, 0.007496774603772488, 0.24903510872217738,
-      -0.1499015778903829,
-    ],
-    [
-      0.12299373891449306, 0.07101046827092111, -0.2767916106266549,
-      -0.05375023481250801,
-    ],
-    [
-      0.12299373891449306, 0.07101046827092111, -0.2351568577699386,
-      -0.15557614116395346,
-    ],
-    [
-      0.12299373891449306, 0.07101046827092111, -0.01715446158576832,
-      0.2814398832848676,
-    ],
-    [
-      0.12299373891449306, 0.07101046827092111, 0.09184673650631683,
-      0.26658368376334796,
-    ],
-    [
-      0.12299373891449306, 0.07101046827092111, 0.1849448741203381,
-      -0.21283344895083994,
-    ],
-    [
-      0.12299373891449306, 0.07101046827092111, 0.25231131935570694,
-      -0.12586374212091417,
-    ],
-    [
-      0.12299373891449306, 0.11026408970826793, -0.24903510872217738,
-      -0.10182590635144545,
-    ],
-    [
-      0.12299373891449306, 0.11026408970826793, 0.03633373269736172,
-      0.26658368376334796,
-    ],
-    [
-      0.12299373891449306, 0.11026408970826793, 0.21270137602481565,
-      -0.1647577774119025,
-    ],
-    [
-      0.12299373891449306, 0.19803785560521836, -0.18696968364616318,
-      0.10182590635144545,
-    ],
-    [
-      0.12299373891449306, 0.19803785560521836, -0.14533493078944687,
-      0.15557614116395346,
-    ],
-    [
-      0.12299373891449306, 0.19803785560521836, -0.06206542507601419,
-      -0.2036518127028909,
-    ],
-    [
-      0.12299373891449306, 0.19803785560521836, 0.00530102015935462,
-      -0.21283344895083994,
-    ],
-    [
-      0.12299373891449306, 0.19803785560521836, 0.18166866348680855,
-      0.11100754259939452,
-    ],
-    [
-      0.12299373891449306, 0.19803785560521836, 0.20740035586546107,
-      0.04807567153893744,
-    ],
-    [
-      0.12299373891449306, 0.23729147704256515, -0.15921318174168564,
-      0.05375023481250801,
-    ],
-    [
-      0.12299373891449306, 0.23729147704256515, -0.09184673650631683,
-      0.1407199416424338,
-    ],
-    [
-      0.12299373891449306, 0.23729147704256515, -0.07594367602825297,
-      -0.1499015778903829,
-    ],
-    [
-      0.12299373891449306, 0.23729147704256515, 0.033057522063832175,
-      -0.1647577774119025,
-    ],
-    [
-      0.12299373891449306, 0.23729147704256515, 0.12615565967785347,
-      0.11100754259939452,
-    ],
-    [
-      0.12299373891449306, 0.23729147704256515, 0.16779041253456978,
-      0.009181636247949067,
-    ],
-    [
-      0.12299373891449306, 0.261551549272367, -0.10042396729920097,
-      0.07778807058197673,
-    ],
-    [
-      0.12299373891449306, 0.261551549272367, -0.01715446158576832,
-      -0.12586374212091417,
-    ],
-    [
-      0.12299373891449306, 0.261551549272367, 0.1175784288849693,
-      0.04807567153893744,
-    ],
-    [
-      0.14400357776314682, -0.27368158538726794, -0.05878921444248465,
-      -0.02403783576946872,
-    ],
-    [
-      0.14400357776314682, -0.27368158538726794, 0.00857723079288416,
-      0.06293187106045708,
-    ],
-    [
-      0.14400357776314682, -0.27368158538726794, 0.050211983649600486,
-      -0.038894035290988366,
-    ],
-    [
-      0.14400357776314682, -0.22516144092766427, -0.15921318174168564,
-      0.05375023481250801,
-    ],
-    [
-      0.14400357776314682, -0.22516144092766427, -0.09184673650631683,
-      0.1407199416424338,
-    ],
-    [
-      0.14400357776314682, -0.22516144092766427, -0.07594367602825297,
-      -0.1499015778903829,
-    ],
-    [
-      0.14400357776314682, -0.22516144092766427, 0.033057522063832175,
-      -0.1647577774119025,
-    ],
-    [
-      0.14400357776314682, -0.22516144092766427, 0.12615565967785347,
-      0.11100754259939452,
-    ],
-    [
-      0.14400357776314682, -0.22516144092766427, 0.16779041253456978,
-      0.009181636247949067,
-    ],
-    [
-      0.14400357776314682, -0.16164774726051562, -0.18166866348680855,
-      0.1407199416424338,
-    ],
-    [
-      0.14400357776314682, -0.16164774726051562, -0.031032712538007094,
-      -0.22768964847235962,
-    ],
-    [
-      0.14400357776314682, -0.16164774726051562, 0.21270137602481565,
-      0.0869697068299258,
-    ],
-    [
-      0.14400357776314682, -0.14665419805297064, -0.23843306840346812,
-      -0.02403783576946872,
-    ],
-    [
-      0.14400357776314682, -0.14665419805297064, -0.18696968364616318,
-      -0.1499015778903829,
-    ],
-    [
-      0.14400357776314682, -0.14665419805297064, -0.03633373269736172,
-      0.23687128472030866,
-    ],
-    [
-      0.14400357776314682, -0.14665419805297064, 0.0983991577733759,
-      0.21850801222441052,
-    ],
-    [
-      0.14400357776314682, -0.14665419805297064, 0.14003391063009224,
-      -0.1944701764549418,
-    ],
-    [
-      0.14400357776314682, -0.14665419805297064, 0.2233034163435249,
-      -0.0869697068299258,
-    ],
-    [
-      0.14400357776314682, -0.08314050438582202, -0.260888550148591,
-      0.06293187106045708,
-    ],
-    [
-      0.14400357776314682, -0.08314050438582202, -0.1420587201559173,
-      -0.22768964847235962,
-    ],
-    [
-      0.14400357776314682, -0.08314050438582202, -0.12615565967785347,
-      0.23687128472030866,
-    ],
-    [
-      0.14400357776314682, -0.08314050438582202, 0.07594367602825297,
-      -0.25740204751539886,
-    ],
-    [
-      0.14400357776314682, -0.08314050438582202, 0.1849448741203381,
-      0.1944701764549418,
-    ],
-    [
-      0.14400357776314682, -0.08314050438582202, 0.2682143798337708,
-      -0.009181636247949067,
-    ],
-    [
-      0.14400357776314682, -0.04388688294847523, -0.27476680110082985,
-      -0.038894035290988366,
-    ],
-    [
-      0.14400357776314682, -0.04388688294847523, -0.2233034163435249,
-      -0.1647577774119025,
-    ],
-    [
-      0.14400357776314682, -0.04388688294847523, -0.031032712538007094,
-      0.27576532001129705,
-    ],
-    [
-      0.14400357776314682, -0.04388688294847523, 0.10370017793273054,
-      0.25740204751539886,
-    ],
-    [
-      0.14400357776314682, -0.04388688294847523, 0.17106662316809934,
-      -0.21850801222441052,
-    ],
-    [
-      0.14400357776314682, -0.04388688294847523, 0.254336128881532,
-      -0.11100754259939452,
-    ],
-    [
-      0.14400357776314682, 0.04388688294847523, -0.254336128881532,
-      0.11100754259939452,
-    ],
-    [
-      0.14400357776314682, 0.04388688294847523, -0.17106662316809934,
-      0.21850801222441052,
-    ],
-    [
-      0.14400357776314682, 0.04388688294847523, -0.10370017793273054,
-      -0.25740204751539886,
-    ],
-    [
-      0.14400357776314682, 0.04388688294847523, 0.031032712538007094,
-      -0.27576532001129705,
-    ],
-    [
-      0.14400357776314682, 0.04388688294847523, 0.2233034163435249,
-      0.1647577774119025,
-    ],
-    [
-      0.14400357776314682, 0.04388688294847523, 0.27476680110082985,
-      0.038894035290988366,
-    ],
-    [
-      0.14400357776314682, 0.08314050438582202, -0.2682143798337708,
-      0.009181636247949067,
-    ],
-    [
-      0.14400357776314682, 0.08314050438582202, -0.1849448741203381,
-      -0.1944701764549418,
-    ],
-    [
-      0.14400357776314682, 0.08314050438582202, -0.07594367602825297,
-      0.25740204751539886,
-    ],
-    [
-      0.14400357776314682, 0.08314050438582202, 0.12615565967785347,
-      -0.23687128472030866,
-    ],
-    [
-      0.14400357776314682, 0.08314050438582202, 0.1420587201559173,
-      0.22768964847235962,
-    ],
-    [
-      0.14400357776314682, 0.08314050438582202, 0.260888550148591,
-      -0.06293187106045708,
-    ],
-    [
-      0.14400357776314682, 0.14665419805297064, -0.2233034163435249,
-      0.0869697068299258,
-    ],
-    [
-      0.14400357776314682, 0.14665419805297064, -0.14003391063009224,
-      0.1944701764549418,
-    ],
-    [
-      0.14400357776314682, 0.14665419805297064, -0.0983991577733759,
-      -0.21850801222441052,
-    ],
-    [
-      0.14400357776314682, 0.14665419805297064, 0.03633373269736172,
-      -0.23687128472030866,
-    ],
-    [
-      0.14400357776314682, 0.14665419805297064, 0.18696968364616318,
-      0.1499015778903829,
-    ],
-    [
-      0.14400357776314682, 0.14665419805297064, 0.23843306840346812,
-      0.02403783576946872,
-    ],
-    [
-      0.14400357776314682, 0.16164774726051562, -0.21270137602481565,
-      -0.0869697068299258,
-    ],
-    [
-      0.14400357776314682, 0.16164774726051562, 0.031032712538007094,
-      0.22768964847235962,
-    ],
-    [
-      0.14400357776314682, 0.16164774726051562, 0.18166866348680855,
-      -0.1407199416424338,
-    ],
-    [
-      0.14400357776314682, 0.22516144092766427, -0.16779041253456978,
-      -0.009181636247949067,
-    ],
-    [
-      0.14400357776314682, 0.22516144092766427, -0.12615565967785347,
-      -0.11100754259939452,
-    ],
-    [
-      0.14400357776314682, 0.22516144092766427, -0.033057522063832175,
-      0.1647577774119025,
-    ],
-    [
-      0.14400357776314682, 0.22516144092766427, 0.07594367602825297,
-      0.1499015778903829,
-    ],
-    [
-      0.14400357776314682, 0.22516144092766427, 0.09184673650631683,
-      -0.1407199416424338,
-    ],
-    [
-      0.14400357776314682, 0.22516144092766427, 0.15921318174168564,
-      -0.05375023481250801,
-    ],
-    [
-      0.14400357776314682, 0.27368158538726794, -0.050211983649600486,
-      0.038894035290988366,
-    ],
-    [
-      0.14400357776314682, 0.27368158538726794, -0.00857723079288416,
-      -0.06293187106045708,
-    ],
-    [
-      0.14400357776314682, 0.27368158538726794, 0.05878921444248465,
-      0.02403783576946872,
-    ],
-    [
-      0.1569883722697728, -0.21766466632389175, -0.153912161582331,
-      -0.06293187106045708,
-    ],
-    [
-      0.1569883722697728, -0.21766466632389175, 0.022455481745122935,
-      0.1647577774119025,
-    ],
-    [
-      0.1569883722697728, -0.21766466632389175, 0.1314566798372081,
-      -0.10182590635144545,
-    ],
-    [
-      0.1569883722697728, -0.05138365755224772, -0.21270137602481565,
-      0.1647577774119025,
-    ],
-    [
-      0.1569883722697728, -0.05138365755224772, -0.03633373269736172,
-      -0.26658368376334796,
-    ],
-    [
-      0.1569883722697728, -0.05138365755224772, 0.24903510872217738,
-      0.10182590635144545,
-    ],
-    [
-      0.1569883722697728, 0.05138365755224772, -0.24903510872217738,
-      -0.10182590635144545,
-    ],
-    [
-      0.1569883722697728, 0.05138365755224772, 0.03633373269736172,
-      0.26658368376334796,
-    ],
-    [
-      0.1569883722697728, 0.05138365755224772, 0.21270137602481565,
-      -0.1647577774119025,
-    ],
-    [
-      0.1569883722697728, 0.21766466632389175, -0.1314566798372081,
-      0.10182590635144545,
-    ],
-    [
-      0.1569883722697728, 0.21766466632389175, -0.022455481745122935,
-      -0.1647577774119025,
-    ],
-    [
-      0.1569883722697728, 0.21766466632389175, 0.153912161582331,
-      0.06293187106045708,
-    ],
-    [
-      0.16501341661180058, -0.261551549272367, -0.050211983649600486,
-      0.038894035290988366,
-    ],
-    [
-      0.16501341661180058, -0.261551549272367, -0.00857723079288416,
-      -0.06293187106045708,
-    ],
-    [
-      0.16501341661180058, -0.261551549272367, 0.05878921444248465,
-      0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, -0.23729147704256515, -0.10042396729920097,
-      0.07778807058197673,
-    ],
-    [
-      0.16501341661180058, -0.23729147704256515, -0.01715446158576832,
-      -0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, -0.23729147704256515, 0.1175784288849693,
-      0.04807567153893744,
-    ],
-    [
-      0.16501341661180058, -0.17377778337541655, -0.19024589427969274,
-      0.07778807058197673,
-    ],
-    [
-      0.16501341661180058, -0.17377778337541655, -0.12287944904432392,
-      0.1647577774119025,
-    ],
-    [
-      0.16501341661180058, -0.17377778337541655, -0.08124469618760757,
-      -0.18879561318137122,
-    ],
-    [
-      0.16501341661180058, -0.17377778337541655, 0.027756501904477558,
-      -0.2036518127028909,
-    ],
-    [
-      0.16501341661180058, -0.17377778337541655, 0.16248939237521515,
-      0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, -0.17377778337541655, 0.2041241452319315,
-      0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, -0.13452416193806976, -0.22985583761058398,
-      0.038894035290988366,
-    ],
-    [
-      0.16501341661180058, -0.13452416193806976, -0.13675769999656268,
-      -0.18879561318137122,
-    ],
-    [
-      0.16501341661180058, -0.13452416193806976, -0.09512294713984637,
-      0.21283344895083994,
-    ],
-    [
-      0.16501341661180058, -0.13452416193806976, 0.08124469618760757,
-      -0.21850801222441052,
-    ],
-    [
-      0.16501341661180058, -0.13452416193806976, 0.14861114142297638,
-      0.17961397693342218,
-    ],
-    [
-      0.16501341661180058, -0.13452416193806976, 0.23188064713640905,
-      -0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, -0.09527054050072295, -0.24373408856282275,
-      -0.06293187106045708,
-    ],
-    [
-      0.16501341661180058, -0.09527054050072295, -0.21800239618417028,
-      -0.12586374212091417,
-    ],
-    [0.16501341661180058, -0.09527054050072295, 0.0, 0.25172748424182834],
-    [
-      0.16501341661180058, -0.09527054050072295, 0.0673664452353688,
-      0.24254584799387924,
-    ],
-    [
-      0.16501341661180058, -0.09527054050072295, 0.17636764332745397,
-      -0.17961397693342218,
-    ],
-    [
-      0.16501341661180058, -0.09527054050072295, 0.21800239618417028,
-      -0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, -0.03175684683357431, -0.26618957030794566,
-      0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, -0.03175684683357431, -0.1730914326939244,
-      -0.2036518127028909,
-    ],
-    [
-      0.16501341661180058, -0.03175684683357431, -0.08982192698049174,
-      0.25172748424182834,
-    ],
-    [
-      0.16501341661180058, -0.03175684683357431, 0.11227740872561467,
-      -0.24254584799387924,
-    ],
-    [
-      0.16501341661180058, -0.03175684683357431, 0.153912161582331,
-      0.21850801222441052,
-    ],
-    [
-      0.16501341661180058, -0.03175684683357431, 0.2629133596744162,
-      -0.04807567153893744,
-    ],
-    [
-      0.16501341661180058, 0.03175684683357431, -0.2629133596744162,
-      0.04807567153893744,
-    ],
-    [
-      0.16501341661180058, 0.03175684683357431, -0.153912161582331,
-      -0.21850801222441052,
-    ],
-    [
-      0.16501341661180058, 0.03175684683357431, -0.11227740872561467,
-      0.24254584799387924,
-    ],
-    [
-      0.16501341661180058, 0.03175684683357431, 0.08982192698049174,
-      -0.25172748424182834,
-    ],
-    [
-      0.16501341661180058, 0.03175684683357431, 0.1730914326939244,
-      0.2036518127028909,
-    ],
-    [
-      0.16501341661180058, 0.03175684683357431, 0.26618957030794566,
-      -0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, 0.09527054050072295, -0.21800239618417028,
-      0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, 0.09527054050072295, -0.17636764332745397,
-      0.17961397693342218,
-    ],
-    [
-      0.16501341661180058, 0.09527054050072295, -0.0673664452353688,
-      -0.24254584799387924,
-    ],
-    [0.16501341661180058, 0.09527054050072295, 0.0, -0.25172748424182834],
-    [
-      0.16501341661180058, 0.09527054050072295, 0.21800239618417028,
-      0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, 0.09527054050072295, 0.24373408856282275,
-      0.06293187106045708,
-    ],
-    [
-      0.16501341661180058, 0.13452416193806976, -0.23188064713640905,
-      0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, 0.13452416193806976, -0.14861114142297638,
-      -0.17961397693342218,
-    ],
-    [
-      0.16501341661180058, 0.13452416193806976, -0.08124469618760757,
-      0.21850801222441052,
-    ],
-    [
-      0.16501341661180058, 0.13452416193806976, 0.09512294713984637,
-      -0.21283344895083994,
-    ],
-    [
-      0.16501341661180058, 0.13452416193806976, 0.13675769999656268,
-      0.18879561318137122,
-    ],
-    [
-      0.16501341661180058, 0.13452416193806976, 0.22985583761058398,
-      -0.038894035290988366,
-    ],
-    [
-      0.16501341661180058, 0.17377778337541655, -0.2041241452319315,
-      -0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, 0.17377778337541655, -0.16248939237521515,
-      -0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, 0.17377778337541655, -0.027756501904477558,
-      0.2036518127028909,
-    ],
-    [
-      0.16501341661180058, 0.17377778337541655, 0.08124469618760757,
-      0.18879561318137122,
-    ],
-    [
-      0.16501341661180058, 0.17377778337541655, 0.12287944904432392,
-      -0.1647577774119025,
-    ],
-    [
-      0.16501341661180058, 0.17377778337541655, 0.19024589427969274,
-      -0.07778807058197673,
-    ],
-    [
-      0.16501341661180058, 0.23729147704256515, -0.1175784288849693,
-      -0.04807567153893744,
-    ],
-    [
-      0.16501341661180058, 0.23729147704256515, 0.01715446158576832,
-      0.12586374212091417,
-    ],
-    [
-      0.16501341661180058, 0.23729147704256515, 0.10042396729920097,
-      -0.07778807058197673,
-    ],
-    [
-      0.16501341661180058, 0.261551549272367, -0.05878921444248465,
-      -0.02403783576946872,
-    ],
-    [
-      0.16501341661180058, 0.261551549272367, 0.00857723079288416,
-      0.06293187106045708,
-    ],
-    [
-      0.16501341661180058, 0.261551549272367, 0.050211983649600486,
-      -0.038894035290988366,
-    ],
-    [
-      0.19900804996708038, -0.24192473855369362, -0.03633373269736172,
-      -0.014856199521519647,
-    ],
-    [
-      0.19900804996708038, -0.24192473855369362, 0.00530102015935462,
-      0.038894035290988366,
-    ],
-    [
-      0.19900804996708038, -0.24192473855369362, 0.031032712538007094,
-      -0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, -0.19340459409408994, -0.13675769999656268,
-      0.06293187106045708,
-    ],
-    [
-      0.19900804996708038, -0.19340459409408994, -0.09512294713984637,
-      0.1166821058729651,
-    ],
-    [
-      0.19900804996708038, -0.19340459409408994, -0.053488194283130036,
-      -0.1407199416424338,
-    ],
-    [
-      0.19900804996708038, -0.19340459409408994, 0.013878250952238779,
-      -0.1499015778903829,
-    ],
-    [
-      0.19900804996708038, -0.19340459409408994, 0.12287944904432392,
-      0.0869697068299258,
-    ],
-    [
-      0.19900804996708038, -0.19340459409408994, 0.14861114142297638,
-      0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, -0.15415097265674316, -0.1506359509488015,
-      0.1166821058729651,
-    ],
-    [
-      0.19900804996708038, -0.15415097265674316, -0.025731692378652474,
-      -0.18879561318137122,
-    ],
-    [
-      0.19900804996708038, -0.15415097265674316, 0.17636764332745397,
-      0.07211350730840616,
-    ],
-    [
-      0.19900804996708038, -0.11489735121939634, -0.2159775866583452,
-      -0.014856199521519647,
-    ],
-    [
-      0.19900804996708038, -0.11489735121939634, -0.16451420190104027,
-      -0.1407199416424338,
-    ],
-    [
-      0.19900804996708038, -0.11489735121939634, -0.039609943330891254,
-      0.21283344895083994,
-    ],
-    [
-      0.19900804996708038, -0.11489735121939634, 0.09512294713984637,
-      0.1944701764549418,
-    ],
-    [
-      0.19900804996708038, -0.11489735121939634, 0.12085463951849884,
-      -0.17961397693342218,
-    ],
-    [
-      0.19900804996708038, -0.11489735121939634, 0.2041241452319315,
-      -0.07211350730840616,
-    ],
-    [
-      0.19900804996708038, -0.07564372978204953, -0.22985583761058398,
-      0.038894035290988366,
-    ],
-    [
-      0.19900804996708038, -0.07564372978204953, -0.13675769999656268,
-      -0.18879561318137122,
-    ],
-    [
-      0.19900804996708038, -0.07564372978204953, -0.09512294713984637,
-      0.21283344895083994,
-    ],
-    [
-      0.19900804996708038, -0.07564372978204953, 0.08124469618760757,
-      -0.21850801222441052,
-    ],
-    [
-      0.19900804996708038, -0.07564372978204953, 0.14861114142297638,
-      0.17961397693342218,
-    ],
-    [
-      0.19900804996708038, -0.07564372978204953, 0.23188064713640905,
-      -0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, -0.05138365755224772, -0.23843306840346812,
-      -0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, -0.05138365755224772, -0.18696968364616318,
-      -0.1499015778903829,
-    ],
-    [
-      0.19900804996708038, -0.05138365755224772, -0.03633373269736172,
-      0.23687128472030866,
-    ],
-    [
-      0.19900804996708038, -0.05138365755224772, 0.0983991577733759,
-      0.21850801222441052,
-    ],
-    [
-      0.19900804996708038, -0.05138365755224772, 0.14003391063009224,
-      -0.1944701764549418,
-    ],
-    [
-      0.19900804996708038, -0.05138365755224772, 0.2233034163435249,
-      -0.0869697068299258,
-    ],
-    [
-      0.19900804996708038, 0.05138365755224772, -0.2233034163435249,
-      0.0869697068299258,
-    ],
-    [
-      0.19900804996708038, 0.05138365755224772, -0.14003391063009224,
-      0.1944701764549418,
-    ],
-    [
-      0.19900804996708038, 0.05138365755224772, -0.0983991577733759,
-      -0.21850801222441052,
-    ],
-    [
-      0.19900804996708038, 0.05138365755224772, 0.03633373269736172,
-      -0.23687128472030866,
-    ],
-    [
-      0.19900804996708038, 0.05138365755224772, 0.18696968364616318,
-      0.1499015778903829,
-    ],
-    [
-      0.19900804996708038, 0.05138365755224772, 0.23843306840346812,
-      0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, 0.07564372978204953, -0.23188064713640905,
-      0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, 0.07564372978204953, -0.14861114142297638,
-      -0.17961397693342218,
-    ],
-    [
-      0.19900804996708038, 0.07564372978204953, -0.08124469618760757,
-      0.21850801222441052,
-    ],
-    [
-      0.19900804996708038, 0.07564372978204953, 0.09512294713984637,
-      -0.21283344895083994,
-    ],
-    [
-      0.19900804996708038, 0.07564372978204953, 0.13675769999656268,
-      0.18879561318137122,
-    ],
-    [
-      0.19900804996708038, 0.07564372978204953, 0.22985583761058398,
-      -0.038894035290988366,
-    ],
-    [
-      0.19900804996708038, 0.11489735121939634, -0.2041241452319315,
-      0.07211350730840616,
-    ],
-    [
-      0.19900804996708038, 0.11489735121939634, -0.12085463951849884,
-      0.17961397693342218,
-    ],
-    [
-      0.19900804996708038, 0.11489735121939634, -0.09512294713984637,
-      -0.1944701764549418,
-    ],
-    [
-      0.19900804996708038, 0.11489735121939634, 0.039609943330891254,
-      -0.21283344895083994,
-    ],
-    [
-      0.19900804996708038, 0.11489735121939634, 0.16451420190104027,
-      0.1407199416424338,
-    ],
-    [
-      0.19900804996708038, 0.11489735121939634, 0.2159775866583452,
-      0.014856199521519647,
-    ],
-    [
-      0.19900804996708038, 0.15415097265674316, -0.17636764332745397,
-      -0.07211350730840616,
-    ],
-    [
-      0.19900804996708038, 0.15415097265674316, 0.025731692378652474,
-      0.18879561318137122,
-    ],
-    [
-      0.19900804996708038, 0.15415097265674316, 0.1506359509488015,
-      -0.1166821058729651,
-    ],
-    [
-      0.19900804996708038, 0.19340459409408994, -0.14861114142297638,
-      -0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, 0.19340459409408994, -0.12287944904432392,
-      -0.0869697068299258,
-    ],
-    [
-      0.19900804996708038, 0.19340459409408994, -0.013878250952238779,
-      0.1499015778903829,
-    ],
-    [
-      0.19900804996708038, 0.19340459409408994, 0.053488194283130036,
-      0.1407199416424338,
-    ],
-    [
-      0.19900804996708038, 0.19340459409408994, 0.09512294713984637,
-      -0.1166821058729651,
-    ],
-    [
-      0.19900804996708038, 0.19340459409408994, 0.13675769999656268,
-      -0.06293187106045708,
-    ],
-    [
-      0.19900804996708038, 0.24192473855369362, -0.031032712538007094,
-      0.02403783576946872,
-    ],
-    [
-      0.19900804996708038, 0.24192473855369362, -0.00530102015935462,
-      -0.038894035290988366,
-    ],
-    [
-      0.19900804996708038, 0.24192473855369362, 0.03633373269736172,
-      0.014856199521519647,
-    ],
-    [
-      0.21199284447370637, -0.18590781949031743, -0.1314566798372081,
-      -0.05375023481250801,
-    ],
-    [
-      0.21199284447370637, -0.18590781949031743, 0.0191792711115934,
-      0.1407199416424338,
-    ],
-    [
-      0.21199284447370637, -0.18590781949031743, 0.11227740872561467,
-      -0.0869697068299258,
-    ],
-    [
-      0.21199284447370637, -0.04388688294847523, -0.18166866348680855,
-      0.1407199416424338,
-    ],
-    [
-      0.21199284447370637, -0.04388688294847523, -0.031032712538007094,
-      -0.22768964847235962,
-    ],
-    [
-      0.21199284447370637, -0.04388688294847523, 0.21270137602481565,
-      0.0869697068299258,
-    ],
-    [
-      0.21199284447370637, 0.04388688294847523, -0.21270137602481565,
-      -0.0869697068299258,
-    ],
-    [
-      0.21199284447370637, 0.04388688294847523, 0.031032712538007094,
-      0.22768964847235962,
-    ],
-    [
-      0.21199284447370637, 0.04388688294847523, 0.18166866348680855,
-      -0.1407199416424338,
-    ],
-    [
-      0.21199284447370637, 0.18590781949031743, -0.11227740872561467,
-      0.0869697068299258,
-    ],
-    [
-      0.21199284447370637, 0.18590781949031743, -0.0191792711115934,
-      -0.1407199416424338,
-    ],
-    [
-      0.21199284447370637, 0.18590781949031743, 0.1314566798372081,
-      0.05375023481250801,
-    ],
-    [
-      0.23300268332236013, -0.19803785560521836, -0.07266746539472344,
-      -0.029712399043039295,
-    ],
-    [
-      0.23300268332236013, -0.19803785560521836, 0.01060204031870924,
-      0.07778807058197673,
-    ],
-    [
-      0.23300268332236013, -0.19803785560521836, 0.06206542507601419,
-      -0.04807567153893744,
-    ],
-    [
-      0.23300268332236013, -0.17377778337541655, -0.12287944904432392,
-      0.009181636247949067,
-    ],
-    [
-      0.23300268332236013, -0.17377778337541655, -0.08124469618760757,
-      -0.09264427010349638,
-    ],
-    [
-      0.23300268332236013, -0.17377778337541655, -0.039609943330891254,
-      0.1166821058729651,
-    ],
-    [
-      0.23300268332236013, -0.17377778337541655, 0.053488194283130036,
-      -0.11100754259939452,
-    ],
-    [
-      0.23300268332236013, -0.17377778337541655, 0.0693912547611939,
-      0.10182590635144545,
-    ],
-    [
-      0.23300268332236013, -0.17377778337541655, 0.12085463951849884,
-      -0.02403783576946872,
-    ],
-    [
-      0.23300268332236013, -0.13452416193806976, -0.16248939237521515,
-      -0.029712399043039295,
-    ],
-    [
-      0.23300268332236013, -0.13452416193806976, -0.13675769999656268,
-      -0.09264427010349638,
-    ],
-    [
-      0.23300268332236013, -0.13452416193806976, -0.011853441426413699,
-      0.1647577774119025,
-    ],
-    [
-      0.23300268332236013, -0.13452416193806976, 0.055513003808955116,
-      0.15557614116395346,
-    ],
-    [
-      0.23300268332236013, -0.13452416193806976, 0.10697638856626007,
-      -0.12586374212091417,
-    ],
-    [
-      0.23300268332236013, -0.13452416193806976, 0.14861114142297638,
-      -0.07211350730840616,
-    ],
-    [
-      0.23300268332236013, -0.09527054050072295, -0.1506359509488015,
-      0.1166821058729651,
-    ],
-    [
-      0.23300268332236013, -0.09527054050072295, -0.025731692378652474,
-      -0.18879561318137122,
-    ],
-    [
-      0.23300268332236013, -0.09527054050072295, 0.17636764332745397,
-      0.07211350730840616,
-    ],
-    [
-      0.23300268332236013, -0.056016919063376136, -0.19024589427969274,
-      0.07778807058197673,
-    ],
-    [
-      0.23300268332236013, -0.056016919063376136, -0.12287944904432392,
-      0.1647577774119025,
-    ],
-    [
-      0.23300268332236013, -0.056016919063376136, -0.08124469618760757,
-      -0.18879561318137122,
-    ],
-    [
-      0.23300268332236013, -0.056016919063376136, 0.027756501904477558,
-      -0.2036518127028909,
-    ],
-    [
-      0.23300268332236013, -0.056016919063376136, 0.16248939237521515,
-      0.12586374212091417,
-    ],
-    [
-      0.23300268332236013, -0.056016919063376136, 0.2041241452319315,
-      0.02403783576946872,
-    ],
-    [
-      0.23300268332236013, -0.007496774603772488, -0.20740035586546107,
-      -0.04807567153893744,
-    ],
-    [
-      0.23300268332236013, -0.007496774603772488, -0.18166866348680855,
-      -0.11100754259939452,
-    ],
-    [
-      0.23300268332236013, -0.007496774603772488, -0.00530102015935462,
-      0.21283344895083994,
-    ],
-    [
-      0.23300268332236013, -0.007496774603772488, 0.06206542507601419,
-      0.2036518127028909,
-    ],
-    [
-      0.23300268332236013, -0.007496774603772488, 0.14533493078944687,
-      -0.15557614116395346,
-    ],
-    [
-      0.23300268332236013, -0.007496774603772488, 0.18696968364616318,
-      -0.10182590635144545,
-    ],
-    [
-      0.23300268332236013, 0.007496774603772488, -0.18696968364616318,
-      0.10182590635144545,
-    ],
-    [
-      0.23300268332236013, 0.007496774603772488, -0.14533493078944687,
-      0.15557614116395346,
-    ],
-    [
-      0.23300268332236013, 0.007496774603772488, -0.06206542507601419,
-      -0.2036518127028909,
-    ],
-    [
-      0.23300268332236013, 0.007496774603772488, 0.00530102015935462,
-      -0.21283344895083994,
-    ],
-    [
-      0.23300268332236013, 0.007496774603772488, 0.18166866348680855,
-      0.11100754259939452,
-    ],
-    [
-      0.23300268332236013, 0.007496774603772488, 0.20740035586546107,
-      0.04807567153893744,
-    ],
-    [
-      0.23300268332236013, 0.056016919063376136, -0.2041241452319315,
-      -0.02403783576946872,
-    ],
-    [
-      0.23300268332236013, 0.056016919063376136, -0.16248939237521515,
-      -0.12586374212091417,
-    ],
-    [
-      0.23300268332236013, 0.056016919063376136, -0.027756501904477558,
-      0.2036518127028909,
-    ],
-    [
-      0.23300268332236013, 0.056016919063376136, 0.08124469618760757,
-      0.18879561318137122,
-    ],
-    [
-      0.23300268332236013, 0.056016919063376136, 0.12287944904432392,
-      -0.1647577774119025,
-    ],
-    [
-      0.23300268332236013, 0.056016919063376136, 0.19024589427969274,
-      -0.07778807058197673,
-    ],
-    [
-      0.23300268332236013, 0.09527054050072295, -0.17636764332745397,
-      -0.07211350730840616,
-    ],
-    [
-      0.23300268332236013, 0.09527054050072295, 0.025731692378652474,
-      0.18879561318137122,
-    ],
-    [
-      0.23300268332236013, 0.09527054050072295, 0.1506359509488015,
-      -0.1166821058729651,
-    ],
-    [
-      0.23300268332236013, 0.13452416193806976, -0.14861114142297638,
-      0.07211350730840616,
-    ],
-    [
-      0.23300268332236013, 0.13452416193806976, -0.10697638856626007,
-      0.12586374212091417,
-    ],
-    [
-      0.23300268332236013, 0.13452416193806976, -0.055513003808955116,
-      -0.15557614116395346,
-    ],
-    [
-      0.23300268332236013, 0.13452416193806976, 0.011853441426413699,
-      -0.1647577774119025,
-    ],
-    [
-      0.23300268332236013, 0.13452416193806976, 0.13675769999656268,
-      0.09264427010349638,
-    ],
-    [
-      0.23300268332236013, 0.13452416193806976, 0.16248939237521515,
-      0.029712399043039295,
-    ],
-    [
-      0.23300268332236013, 0.17377778337541655, -0.12085463951849884,
-      0.02403783576946872,
-    ],
-    [
-      0.23300268332236013, 0.17377778337541655, -0.0693912547611939,
-      -0.10182590635144545,
-    ],
-    [
-      0.23300268332236013, 0.17377778337541655, -0.053488194283130036,
-      0.11100754259939452,
-    ],
-    [
-      0.23300268332236013, 0.17377778337541655, 0.039609943330891254,
-      -0.1166821058729651,
-    ],
-    [
-      0.23300268332236013, 0.17377778337541655, 0.08124469618760757,
-      0.09264427010349638,
-    ],
-    [
-      0.23300268332236013, 0.17377778337541655, 0.12287944904432392,
-      -0.009181636247949067,
-    ],
-    [
-      0.23300268332236013, 0.19803785560521836, -0.06206542507601419,
-      0.04807567153893744,
-    ],
-    [
-      0.23300268332236013, 0.19803785560521836, -0.01060204031870924,
-      -0.07778807058197673,
-    ],
-    [
-      0.23300268332236013, 0.19803785560521836, 0.07266746539472344,
-      0.029712399043039295,
-    ],
-    [
-      0.26699731667763993, -0.15415097265674316, -0.0673664452353688,
-      0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, -0.15415097265674316, -0.041634752856716334,
-      -0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, -0.15415097265674316, -0.025731692378652474,
-      0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, -0.15415097265674316, 0.025731692378652474,
-      -0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, -0.15415097265674316, 0.041634752856716334,
-      0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, -0.15415097265674316, 0.0673664452353688,
-      -0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, -0.11489735121939634, -0.12287944904432392,
-      0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, -0.11489735121939634, -0.08124469618760757,
-      -0.09264427010349638,
-    ],
-    [
-      0.26699731667763993, -0.11489735121939634, -0.039609943330891254,
-      0.1166821058729651,
-    ],
-    [
-      0.26699731667763993, -0.11489735121939634, 0.053488194283130036,
-      -0.11100754259939452,
-    ],
-    [
-      0.26699731667763993, -0.11489735121939634, 0.0693912547611939,
-      0.10182590635144545,
-    ],
-    [
-      0.26699731667763993, -0.11489735121939634, 0.12085463951849884,
-      -0.02403783576946872,
-    ],
-    [
-      0.26699731667763993, -0.0906372789895945, -0.1314566798372081,
-      -0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, -0.0906372789895945, 0.0191792711115934,
-      0.1407199416424338,
-    ],
-    [
-      0.26699731667763993, -0.0906372789895945, 0.11227740872561467,
-      -0.0869697068299258,
-    ],
-    [
-      0.26699731667763993, -0.07564372978204953, -0.13675769999656268,
-      0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, -0.07564372978204953, -0.09512294713984637,
-      0.1166821058729651,
-    ],
-    [
-      0.26699731667763993, -0.07564372978204953, -0.053488194283130036,
-      -0.1407199416424338,
-    ],
-    [
-      0.26699731667763993, -0.07564372978204953, 0.013878250952238779,
-      -0.1499015778903829,
-    ],
-    [
-      0.26699731667763993, -0.07564372978204953, 0.12287944904432392,
-      0.0869697068299258,
-    ],
-    [
-      0.26699731667763993, -0.07564372978204953, 0.14861114142297638,
-      0.02403783576946872,
-    ],
-    [
-      0.26699731667763993, -0.027123585322445888, -0.153912161582331,
-      -0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, -0.027123585322445888, 0.022455481745122935,
-      0.1647577774119025,
-    ],
-    [
-      0.26699731667763993, -0.027123585322445888, 0.1314566798372081,
-      -0.10182590635144545,
-    ],
-    [
-      0.26699731667763993, -0.012130036114900912, -0.15921318174168564,
-      0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, -0.012130036114900912, -0.09184673650631683,
-      0.1407199416424338,
-    ],
-    [
-      0.26699731667763993, -0.012130036114900912, -0.07594367602825297,
-      -0.1499015778903829,
-    ],
-    [
-      0.26699731667763993, -0.012130036114900912, 0.033057522063832175,
-      -0.1647577774119025,
-    ],
-    [
-      0.26699731667763993, -0.012130036114900912, 0.12615565967785347,
-      0.11100754259939452,
-    ],
-    [
-      0.26699731667763993, -0.012130036114900912, 0.16779041253456978,
-      0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, 0.012130036114900912, -0.16779041253456978,
-      -0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, 0.012130036114900912, -0.12615565967785347,
-      -0.11100754259939452,
-    ],
-    [
-      0.26699731667763993, 0.012130036114900912, -0.033057522063832175,
-      0.1647577774119025,
-    ],
-    [
-      0.26699731667763993, 0.012130036114900912, 0.07594367602825297,
-      0.1499015778903829,
-    ],
-    [
-      0.26699731667763993, 0.012130036114900912, 0.09184673650631683,
-      -0.1407199416424338,
-    ],
-    [
-      0.26699731667763993, 0.012130036114900912, 0.15921318174168564,
-      -0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, 0.027123585322445888, -0.1314566798372081,
-      0.10182590635144545,
-    ],
-    [
-      0.26699731667763993, 0.027123585322445888, -0.022455481745122935,
-      -0.1647577774119025,
-    ],
-    [
-      0.26699731667763993, 0.027123585322445888, 0.153912161582331,
-      0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, 0.07564372978204953, -0.14861114142297638,
-      -0.02403783576946872,
-    ],
-    [
-      0.26699731667763993, 0.07564372978204953, -0.12287944904432392,
-      -0.0869697068299258,
-    ],
-    [
-      0.26699731667763993, 0.07564372978204953, -0.013878250952238779,
-      0.1499015778903829,
-    ],
-    [
-      0.26699731667763993, 0.07564372978204953, 0.053488194283130036,
-      0.1407199416424338,
-    ],
-    [
-      0.26699731667763993, 0.07564372978204953, 0.09512294713984637,
-      -0.1166821058729651,
-    ],
-    [
-      0.26699731667763993, 0.07564372978204953, 0.13675769999656268,
-      -0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, 0.0906372789895945, -0.11227740872561467,
-      0.0869697068299258,
-    ],
-    [
-      0.26699731667763993, 0.0906372789895945, -0.0191792711115934,
-      -0.1407199416424338,
-    ],
-    [
-      0.26699731667763993, 0.0906372789895945, 0.1314566798372081,
-      0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, 0.11489735121939634, -0.12085463951849884,
-      0.02403783576946872,
-    ],
-    [
-      0.26699731667763993, 0.11489735121939634, -0.0693912547611939,
-      -0.10182590635144545,
-    ],
-    [
-      0.26699731667763993, 0.11489735121939634, -0.053488194283130036,
-      0.11100754259939452,
-    ],
-    [
-      0.26699731667763993, 0.11489735121939634, 0.039609943330891254,
-      -0.1166821058729651,
-    ],
-    [
-      0.26699731667763993, 0.11489735121939634, 0.08124469618760757,
-      0.09264427010349638,
-    ],
-    [
-      0.26699731667763993, 0.11489735121939634, 0.12287944904432392,
-      -0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, 0.15415097265674316, -0.0673664452353688,
-      0.009181636247949067,
-    ],
-    [
-      0.26699731667763993, 0.15415097265674316, -0.041634752856716334,
-      -0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, 0.15415097265674316, -0.025731692378652474,
-      0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, 0.15415097265674316, 0.025731692378652474,
-      -0.06293187106045708,
-    ],
-    [
-      0.26699731667763993, 0.15415097265674316, 0.041634752856716334,
-      0.05375023481250801,
-    ],
-    [
-      0.26699731667763993, 0.15415097265674316, 0.0673664452353688,
-      -0.009181636247949067,
-    ],
-    [
-      0.28800715552629363, -0.10276731510449544, -0.07266746539472344,
-      -0.029712399043039295,
-    ],
-    [
-      0.28800715552629363, -0.10276731510449544, 0.01060204031870924,
-      0.07778807058197673,
-    ],
-    [
-      0.28800715552629363, -0.10276731510449544, 0.06206542507601419,
-      -0.04807567153893744,
-    ],
-    [
-      0.28800715552629363, -0.024260072229801824, -0.10042396729920097,
-      0.07778807058197673,
-    ],
-    [
-      0.28800715552629363, -0.024260072229801824, -0.01715446158576832,
-      -0.12586374212091417,
-    ],
-    [
-      0.28800715552629363, -0.024260072229801824, 0.1175784288849693,
-      0.04807567153893744,
-    ],
-    [
-      0.28800715552629363, 0.024260072229801824, -0.1175784288849693,
-      -0.04807567153893744,
-    ],
-    [
-      0.28800715552629363, 0.024260072229801824, 0.01715446158576832,
-      0.12586374212091417,
-    ],
-    [
-      0.28800715552629363, 0.024260072229801824, 0.10042396729920097,
-      -0.07778807058197673,
-    ],
-    [
-      0.28800715552629363, 0.10276731510449544, -0.06206542507601419,
-      0.04807567153893744,
-    ],
-    [
-      0.28800715552629363, 0.10276731510449544, -0.01060204031870924,
-      -0.07778807058197673,
-    ],
-    [
-      0.28800715552629363, 0.10276731510449544, 0.07266746539472344,
-      0.029712399043039295,
-    ],
-    [
-      0.30901699437494745, -0.05138365755224772, -0.03633373269736172,
-      -0.014856199521519647,
-    ],
-    [
-      0.30901699437494745, -0.05138365755224772, 0.00530102015935462,
-      0.038894035290988366,
-    ],
-    [
-      0.30901699437494745, -0.05138365755224772, 0.031032712538007094,
-      -0.02403783576946872,
-    ],
-    [
-      0.30901699437494745, -0.012130036114900912, -0.050211983649600486,
-      0.038894035290988366,
-    ],
-    [
-      0.30901699437494745, -0.012130036114900912, -0.00857723079288416,
-      -0.06293187106045708,
-    ],
-    [
-      0.30901699437494745, -0.012130036114900912, 0.05878921444248465,
-      0.02403783576946872,
-    ],
-    [
-      0.30901699437494745, 0.012130036114900912, -0.05878921444248465,
-      -0.02403783576946872,
-    ],
-    [
-      0.30901699437494745, 0.012130036114900912, 0.00857723079288416,
-      0.06293187106045708,
-    ],
-    [
-      0.30901699437494745, 0.012130036114900912, 0.050211983649600486,
-      -0.038894035290988366,
-    ],
-    [
-      0.30901699437494745, 0.05138365755224772, -0.031032712538007094,
-      0.02403783576946872,
-    ],
-    [
-      0.30901699437494745, 0.05138365755224772, -0.00530102015935462,
-      -0.038894035290988366,
-    ],
-    [
-      0.30901699437494745, 0.05138365755224772, 0.03633373269736172,
-      0.014856199521519647,
-    ],
-  ],
-  faces: [
-    [9, 10, 11],
-    [8, 10, 11],
-    [7, 9, 11],
-    [5, 8, 11],
-    [5, 7, 11],
-    [6, 9, 10],
-    [4, 8, 10],
-    [4, 6, 10],
-    [3, 7, 9],
-    [3, 6, 9],
-    [2, 5, 8],
-    [2, 4, 8],
-    [1, 5, 7],
-    [1, 3, 7],
-    [0, 4, 6],
-    [0, 3, 6],
-    [1, 2, 5],
-    [0, 2, 4],
-    [0, 1, 3],
-    [0, 1, 2],
-    [0, 2, 14, 27, 25, 12],
-    [0, 1, 13, 26, 24, 12],
-    [1, 2, 14, 29, 28, 13],
-    [13, 26, 28],
-    [24, 25, 27, 29, 28, 26],
-    [14, 27, 29],
-    [12, 24, 25],
-    [1, 3, 15, 40, 32, 13],
-    [0, 3, 15, 39, 30, 12],
-    [12, 24, 30],
-    [13, 26, 32],
-    [15, 39, 40],
-    [24, 26, 32, 40, 39, 30],
-    [0, 4, 16, 41, 31, 12],
-    [2, 4, 16, 42, 33, 14],
-    [16, 41, 42],
-    [25, 27, 33, 42, 41, 31],
-    [12, 25, 31],
-    [14, 27, 33],
-    [1, 5, 17, 43, 34, 13],
-    [2, 5, 17, 44, 35, 14],
-    [14, 29, 35],
-    [13, 28, 34],
-    [17, 43, 44],
-    [28, 29, 35, 44, 43, 34],
-    [0, 6, 18, 45, 36, 12],
-    [3, 6, 18, 54, 48, 15],
-    [15, 39, 48],
-    [18, 45, 54],
-    [30, 36, 45, 54, 48, 39],
-    [12, 30, 36],
-    [4, 6, 18, 55, 50, 16],
-    [16, 41, 50],
-    [31, 36, 45, 55, 50, 41],
-    [12, 31, 36],
-    [18, 45, 55],
-    [1, 7, 19, 46, 37, 13],
-    [3, 7, 19, 56, 49, 15],
-    [19, 46, 56],
-    [32, 37, 46, 56, 49, 40],
-    [13, 32, 37],
-    [15, 40, 49],
-    [2, 8, 20, 47, 38, 14],
-    [4, 8, 20, 58, 51, 16],
-    [16, 42, 51],
-    [33, 38, 47, 58, 51, 42],
-    [14, 33, 38],
-    [20, 47, 58],
-    [5, 7, 19, 57, 52, 17],
-    [19, 46, 57],
-    [34, 37, 46, 57, 52, 43],
-    [17, 43, 52],
-    [13, 34, 37],
-    [5, 8, 20, 59, 53, 17],
-    [17, 44, 53],
-    [20, 47, 59],
-    [14, 35, 38],
-    [35, 38, 47, 59, 53, 44],
-    [3, 9, 21, 69, 60, 15],
-    [6, 9, 21, 72, 63, 18],
-    [18, 54, 63],
-    [15, 48, 60],
-    [21, 69, 72],
-    [48, 54, 63, 72, 69, 60],
-    [4, 10, 22, 70, 61, 16],
-    [6, 10, 22, 73, 64, 18],
-    [16, 50, 61],
-    [50, 55, 64, 73, 70, 61],
-    [18, 55, 64],
-    [22, 70, 73],
-    [7, 9, 21, 74, 65, 19],
-    [19, 56, 65],
-    [49, 56, 65, 74, 69, 60],
-    [21, 69, 74],
-    [15, 49, 60],
-    [8, 10, 22, 75, 67, 20],
-    [16, 51, 61],
-    [51, 58, 67, 75, 70, 61],
-    [20, 58, 67],
-    [22, 70, 75],
-    [5, 11, 23, 71, 62, 17],
-    [7, 11, 23, 76, 66, 19],
-    [19, 57, 66],
-    [52, 57, 66, 76, 71, 62],
-    [23, 71, 76],
-    [17, 52, 62],
-    [8, 11, 23, 77, 68, 20],
-    [20, 59, 68],
-    [17, 53, 62],
-    [53, 59, 68, 77, 71, 62],
-    [23, 71, 77],
-    [9, 10, 22, 79, 78, 21],
-    [21, 72, 78],
-    [22, 73, 79],
-    [18, 63, 64],
-    [63, 64, 73, 79, 78, 72],
-    [9, 11, 23, 82, 80, 21],
-    [19, 65, 66],
-    [65, 66, 76, 82, 80, 74],
-    [23, 76, 82],
-    [21, 74, 80],
-    [10, 11, 23, 83, 81, 22],
-    [23, 77, 83],
-    [20, 67, 68],
-    [22, 75, 81],
-    [67, 68, 77, 83, 81, 75],
-    [22, 79, 81],
-    [78, 79, 81, 83, 82, 80],
-    [21, 78, 80],
-    [23, 82, 83],
-    [93, 94, 144],
-    [88, 94, 144],
-    [87, 93, 144],
-    [84, 88, 144],
-    [84, 87, 144],
-    [36, 93, 94],
-    [31, 88, 94],
-    [31, 36, 94],
-    [30, 87, 93],
-    [30, 36, 93],
-    [25, 84, 88],
-    [25, 31, 88],
-    [24, 84, 87],
-    [24, 30, 87],
-    [24, 25, 84],
-    [95, 96, 145],
-    [91, 96, 145],
-    [89, 95, 145],
-    [85, 91, 145],
-    [85, 89, 145],
-    [37, 95, 96],
-    [34, 91, 96],
-    [34, 37, 96],
-    [32, 89, 95],
-    [32, 37, 95],
-    [28, 85, 91],
-    [28, 34, 91],
-    [26, 85, 89],
-    [26, 32, 89],
-    [26, 28, 85],
-    [97, 98, 146],
-    [92, 98, 146],
-    [90, 97, 146],
-    [86, 92, 146],
-    [86, 90, 146],
-    [38, 97, 98],
-    [35, 92, 98],
-    [35, 38, 98],
-    [33, 90, 97],
-    [33, 38, 97],
-    [29, 86, 92],
-    [29, 35, 92],
-    [27, 86, 90],
-    [27, 33, 90],
-    [27, 29, 86],
-    [114, 115, 147],
-    [103, 115, 147],
-    [102, 114, 147],
-    [99, 103, 147],
-    [99, 102, 147],
-    [60, 114, 115],
-    [49, 103, 115],
-    [49, 60, 115],
-    [48, 102, 114],
-    [48, 60, 114],
-    [40, 99, 103],
-    [40, 49, 103],
-    [39, 99, 102],
-    [39, 48, 102],
-    [39, 40, 99],
-    [116, 117, 148],
-    [105, 117, 148],
-    [104, 116, 148],
-    [100, 105, 148],
-    [100, 104, 148],
-    [61, 116, 117],
-    [51, 105, 117],
-    [51, 61, 117],
-    [50, 104, 116],
-    [50, 61, 116],
-    [42, 100, 105],
-    [42, 51, 105],
-    [41, 100, 104],
-    [41, 50, 104],
-    [41, 42, 100],
-    [118, 119, 149],
-    [107, 119, 149],
-    [106, 118, 149],
-    [101, 107, 149],
-    [101, 106, 149],
-    [62, 118, 119],
-    [53, 107, 119],
-    [53, 62, 119],
-    [52, 106, 118],
-    [52, 62, 118],
-    [44, 101, 107],
-    [44, 53, 107],
-    [43, 101, 106],
-    [43, 52, 106],
-    [43, 44, 101],
-    [121, 126, 150],
-    [120, 126, 150],
-    [109, 121, 150],
-    [108, 120, 150],
-    [108, 109, 150],
-    [64, 121, 126],
-    [63, 120, 126],
-    [63, 64, 126],
-    [55, 109, 121],
-    [55, 64, 121],
-    [54, 108, 120],
-    [54, 63, 120],
-    [45, 108, 109],
-    [45, 55, 109],
-    [45, 54, 108],
-    [123, 127, 151],
-    [122, 127, 151],
-    [111, 123, 151],
-    [110, 122, 151],
-    [110, 111, 151],
-    [66, 123, 127],
-    [65, 122, 127],
-    [65, 66, 127],
-    [57, 111, 123],
-    [57, 66, 123],
-    [56, 110, 122],
-    [56, 65, 122],
-    [46, 110, 111],
-    [46, 57, 111],
-    [46, 56, 110],
-    [125, 128, 152],
-    [124, 128, 152],
-    [113, 125, 152],
-    [112, 124, 152],
-    [112, 113, 152],
-    [68, 125, 128],
-    [67, 124, 128],
-    [67, 68, 128],
-    [59, 113, 125],
-    [59, 68, 125],
-    [58, 112, 124],
-    [58, 67, 124],
-    [47, 112, 113],
-    [47, 59, 113],
-    [47, 58, 112],
-    [137, 141, 153],
-    [135, 141, 153],
-    [130, 137, 153],
-    [129, 135, 153],
-    [129, 130, 153],
-    [80, 137, 141],
-    [78, 135, 141],
-    [78, 80, 141],
-    [74, 130, 137],
-    [74, 80, 137],
-    [72, 129, 135],
-    [72, 78, 135],
-    [69, 129, 130],
-    [69, 74, 130],
-    [69, 72, 129],
-    [138, 142, 154],
-    [136, 142, 154],
-    [132, 138, 154],
-    [131, 136, 154],
-    [131, 132, 154],
-    [81, 138, 142],
-    [79, 136, 142],
-    [79, 81, 142],
-    [75, 132, 138],
-    [75, 81, 138],
-    [73, 131, 136],
-    [73, 79, 136],
-    [70, 131, 132],
-    [70, 75, 132],
-    [70, 73, 131],
-    [140, 143, 155],
-    [139, 143, 155],
-    [134, 140, 155],
-    [133, 139, 155],
-    [133, 134, 155],
-    [83, 140, 143],
-    [82, 139, 143],
-    [82, 83, 143],
-    [77, 134, 140],
-    [77, 83, 140],
-    [76, 133, 139],
-    [76, 82, 139],
-    [71, 133, 134],
-    [71, 77, 134],
-    [71, 76, 133],
-    [25, 27, 86, 158, 156, 84],
-    [24, 26, 85, 157, 156, 84],
-    [28, 29, 86, 158, 157, 85],
-    [156, 157, 158],
-    [32, 40, 99, 165, 160, 89],
-    [24, 26, 89, 160, 159, 87],
-    [30, 39, 99, 165, 159, 87],
-    [159, 160, 165],
-    [25, 27, 90, 162, 161, 88],
-    [33, 42, 100, 166, 162, 90],
-    [31, 41, 100, 166, 161, 88],
-    [161, 162, 166],
-    [34, 43, 101, 167, 163, 91],
-    [35, 44, 101, 167, 164, 92],
-    [28, 29, 92, 164, 163, 91],
-    [163, 164, 167],
-    [36, 45, 108, 180, 168, 93],
-    [30, 39, 102, 174, 168, 93],
-    [48, 54, 108, 180, 174, 102],
-    [168, 174, 180],
-    [36, 45, 109, 181, 169, 94],
-    [50, 55, 109, 181, 175, 104],
-    [31, 41, 104, 175, 169, 94],
-    [169, 175, 181],
-    [37, 46, 110, 182, 170, 95],
-    [49, 56, 110, 182, 176, 103],
-    [170, 176, 182],
-    [32, 40, 103, 176, 170, 95],
-    [51, 58, 112, 184, 177, 105],
-    [38, 47, 112, 184, 172, 97],
-    [33, 42, 105, 177, 172, 97],
-    [172, 177, 184],
-    [37, 46, 111, 183, 171, 96],
-    [34, 43, 106, 178, 171, 96],
-    [52, 57, 111, 183, 178, 106],
-    [171, 178, 183],
-    [38, 47, 113, 185, 173, 98],
-    [35, 44, 107, 179, 173, 98],
-    [53, 59, 113, 185, 179, 107],
-    [173, 179, 185],
-    [60, 69, 129, 198, 186, 114],
-    [63, 72, 129, 198, 192, 120],
-    [48, 54, 120, 192, 186, 114],
-    [186, 192, 198],
-    [61, 70, 131, 200, 188, 116],
-    [64, 73, 131, 200, 193, 121],
-    [50, 55, 121, 193, 188, 116],
-    [188, 193, 200],
-    [49, 56, 122, 194, 187, 115],
-    [60, 69, 130, 199, 187, 115],
-    [65, 74, 130, 199, 194, 122],
-    [187, 194, 199],
-    [51, 58, 124, 195, 189, 117],
-    [61, 70, 132, 201, 189, 117],
-    [189, 195, 201],
-    [67, 75, 132, 201, 195, 124],
-    [52, 57, 123, 196, 190, 118],
-    [62, 71, 133, 202, 190, 118],
-    [66, 76, 133, 202, 196, 123],
-    [190, 196, 202],
-    [62, 71, 134, 203, 191, 119],
-    [68, 77, 134, 203, 197, 125],
-    [53, 59, 125, 197, 191, 119],
-    [191, 197, 203],
-    [64, 73, 136, 208, 204, 126],
-    [63, 72, 135, 207, 204, 126],
-    [78, 79, 136, 208, 207, 135],
-    [204, 207, 208],
-    [65, 74, 137, 209, 205, 127],
-    [80, 82, 139, 210, 209, 137],
-    [66, 76, 139, 210, 205, 127],
-    [205, 209, 210],
-    [67, 75, 138, 211, 206, 128],
-    [68, 77, 140, 212, 206, 128],
-    [81, 83, 140, 212, 211, 138],
-    [206, 211, 212],
-    [80, 82, 143, 215, 213, 141],
-    [81, 83, 143, 215, 214, 142],
-    [78, 79, 142, 214, 213, 141],
-    [213, 214, 215],
-    [85, 89, 160, 219, 216, 157],
-    [84, 87, 159, 219, 216, 156],
-    [159, 160, 219],
-    [156, 157, 216],
-    [84, 88, 161, 220, 217, 156],
-    [161, 162, 220],
-    [156, 158, 217],
-    [86, 90, 162, 220, 217, 158],
-    [85, 91, 163, 221, 218, 157],
-    [86, 92, 164, 221, 218, 158],
-    [163, 164, 221],
-    [157, 158, 218],
-    [99, 102, 174, 228, 222, 165],
-    [87, 93, 168, 228, 222, 159],
-    [159, 165, 222],
-    [168, 174, 228],
-    [100, 104, 175, 229, 224, 166],
-    [88, 94, 169, 229, 224, 161],
-    [161, 166, 224],
-    [169, 175, 229],
-    [170, 176, 230],
-    [160, 165, 223],
-    [89, 95, 170, 230, 223, 160],
-    [99, 103, 176, 230, 223, 165],
-    [100, 105, 177, 231, 225, 166],
-    [172, 177, 231],
-    [90, 97, 172, 231, 225, 162],
-    [162, 166, 225],
-    [101, 106, 178, 232, 226, 167],
-    [171, 178, 232],
-    [163, 167, 226],
-    [91, 96, 171, 232, 226, 163],
-    [92, 98, 173, 233, 227, 164],
-    [101, 107, 179, 233, 227, 167],
-    [164, 167, 227],
-    [173, 179, 233],
-    [93, 94, 169, 235, 234, 168],
-    [169, 181, 235],
-    [168, 180, 234],
-    [108, 109, 181, 235, 234, 180],
-    [95, 96, 171, 237, 236, 170],
-    [110, 111, 183, 237, 236, 182],
-    [170, 182, 236],
-    [171, 183, 237],
-    [97, 98, 173, 239, 238, 172],
-    [172, 184, 238],
-    [173, 185, 239],
-    [112, 113, 185, 239, 238, 184],
-    [102, 114, 186, 246, 240, 174],
-    [108, 120, 192, 246, 240, 180],
-    [186, 192, 246],
-    [174, 180, 240],
-    [104, 116, 188, 247, 241, 175],
-    [188, 193, 247],
-    [109, 121, 193, 247, 241, 181],
-    [175, 181, 241],
-    [103, 115, 187, 248, 242, 176],
-    [110, 122, 194, 248, 242, 182],
-    [176, 182, 242],
-    [187, 194, 248],
-    [112, 124, 195, 249, 243, 184],
-    [105, 117, 189, 249, 243, 177],
-    [189, 195, 249],
-    [177, 184, 243],
-    [111, 123, 196, 250, 244, 183],
-    [178, 183, 244],
-    [106, 118, 190, 250, 244, 178],
-    [190, 196, 250],
-    [113, 125, 197, 251, 245, 185],
-    [107, 119, 191, 251, 245, 179],
-    [179, 185, 245],
-    [191, 197, 251],
-    [129, 130, 199, 253, 252, 198],
-    [187, 199, 253],
-    [186, 198, 252],
-    [114, 115, 187, 253, 252, 186],
-    [131, 132, 201, 255, 254, 200],
-    [116, 117, 189, 255, 254, 188],
-    [189, 201, 255],
-    [188, 200, 254],
-    [133, 134, 203, 257, 256, 202],
-    [190, 202, 256],
-    [191, 203, 257],
-    [118, 119, 191, 257, 256, 190],
-    [120, 126, 204, 264, 258, 192],
-    [129, 135, 207, 264, 258, 198],
-    [192, 198, 258],
-    [204, 207, 264],
-    [121, 126, 204, 265, 259, 193],
-    [193, 200, 259],
-    [204, 208, 265],
-    [131, 136, 208, 265, 259, 200],
-    [122, 127, 205, 266, 260, 194],
-    [194, 199, 260],
-    [130, 137, 209, 266, 260, 199],
-    [205, 209, 266],
-    [195, 201, 261],
-    [206, 211, 268],
-    [124, 128, 206, 268, 261, 195],
-    [132, 138, 211, 268, 261, 201],
-    [123, 127, 205, 267, 262, 196],
-    [133, 139, 210, 267, 262, 202],
-    [196, 202, 262],
-    [205, 210, 267],
-    [125, 128, 206, 269, 263, 197],
-    [134, 140, 212, 269, 263, 203],
-    [206, 212, 269],
-    [197, 203, 263],
-    [136, 142, 214, 273, 270, 208],
-    [135, 141, 213, 273, 270, 207],
-    [207, 208, 270],
-    [213, 214, 273],
-    [139, 143, 215, 274, 271, 210],
-    [209, 210, 271],
-    [213, 215, 274],
-    [137, 141, 213, 274, 271, 209],
-    [138, 142, 214, 275, 272, 211],
-    [140, 143, 215, 275, 272, 212],
-    [211, 212, 272],
-    [214, 215, 275],
-    [84, 144, 276, 348, 288, 156],
-    [87, 144, 276, 351, 291, 159],
-    [156, 216, 288],
-    [159, 219, 291],
-    [276, 348, 351],
-    [216, 219, 291, 351, 348, 288],
-    [88, 144, 276, 352, 293, 161],
-    [161, 220, 293],
-    [156, 217, 288],
-    [217, 220, 293, 352, 348, 288],
-    [276, 348, 352],
-    [85, 145, 277, 349, 289, 157],
-    [89, 145, 277, 353, 292, 160],
-    [157, 216, 289],
-    [277, 349, 353],
-    [216, 219, 292, 353, 349, 289],
-    [160, 219, 292],
-    [86, 146, 278, 350, 290, 158],
-    [90, 146, 278, 355, 294, 162],
-    [158, 217, 290],
-    [162, 220, 294],
-    [217, 220, 294, 355, 350, 290],
-    [278, 350, 355],
-    [91, 145, 277, 354, 295, 163],
-    [157, 218, 289],
-    [163, 221, 295],
-    [277, 349, 354],
-    [218, 221, 295, 354, 349, 289],
-    [92, 146, 278, 356, 296, 164],
-    [164, 221, 296],
-    [158, 218, 290],
-    [278, 350, 356],
-    [218, 221, 296, 356, 350, 290],
-    [93, 144, 276, 357, 300, 168],
-    [159, 222, 291],
-    [168, 228, 300],
-    [276, 351, 357],
-    [222, 228, 300, 357, 351, 291],
-    [94, 144, 276, 358, 301, 169],
-    [161, 224, 293],
-    [169, 229, 301],
-    [276, 352, 358],
-    [224, 229, 301, 358, 352, 293],
-    [95, 145, 277, 359, 302, 170],
-    [170, 230, 302],
-    [160, 223, 292],
-    [223, 230, 302, 359, 353, 292],
-    [277, 353, 359],
-    [97, 146, 278, 361, 304, 172],
-    [172, 231, 304],
-    [162, 225, 294],
-    [225, 231, 304, 361, 355, 294],
-    [278, 355, 361],
-    [96, 145, 277, 360, 303, 171],
-    [163, 226, 295],
-    [171, 232, 303],
-    [226, 232, 303, 360, 354, 295],
-    [277, 354, 360],
-    [98, 146, 278, 362, 305, 173],
-    [164, 227, 296],
-    [173, 233, 305],
-    [278, 356, 362],
-    [227, 233, 305, 362, 356, 296],
-    [169, 235, 301],
-    [168, 234, 300],
-    [234, 235, 301, 358, 357, 300],
-    [276, 357, 358],
-    [170, 236, 302],
-    [236, 237, 303, 360, 359, 302],
-    [171, 237, 303],
-    [277, 359, 360],
-    [172, 238, 304],
-    [173, 239, 305],
-    [238, 239, 305, 362, 361, 304],
-    [278, 361, 362],
-    [99, 147, 279, 363, 297, 165],
-    [102, 147, 279, 366, 306, 174],
-    [174, 228, 306],
-    [279, 363, 366],
-    [222, 228, 306, 366, 363, 297],
-    [165, 222, 297],
-    [103, 147, 279, 367, 308, 176],
-    [176, 230, 308],
-    [165, 223, 297],
-    [223, 230, 308, 367, 363, 297],
-    [279, 363, 367],
-    [100, 148, 280, 364, 298, 166],
-    [104, 148, 280, 368, 307, 175],
-    [166, 224, 298],
-    [175, 229, 307],
-    [280, 364, 368],
-    [224, 229, 307, 368, 364, 298],
-    [105, 148, 280, 369, 309, 177],
-    [166, 225, 298],
-    [177, 231, 309],
-    [280, 364, 369],
-    [225, 231, 309, 369, 364, 298],
-    [101, 149, 281, 365, 299, 167],
-    [106, 149, 281, 370, 310, 178],
-    [178, 232, 310],
-    [167, 226, 299],
-    [226, 232, 310, 370, 365, 299],
-    [281, 365, 370],
-    [107, 149, 281, 371, 311, 179],
-    [179, 233, 311],
-    [167, 227, 299],
-    [281, 365, 371],
-    [227, 233, 311, 371, 365, 299],
-    [108, 150, 282, 378, 312, 180],
-    [109, 150, 282, 379, 313, 181],
-    [180, 234, 312],
-    [181, 235, 313],
-    [234, 235, 313, 379, 378, 312],
-    [282, 378, 379],
-    [114, 147, 279, 372, 318, 186],
-    [174, 240, 306],
-    [186, 246, 318],
-    [279, 366, 372],
-    [240, 246, 318, 372, 366, 306],
-    [115, 147, 279, 373, 319, 187],
-    [176, 242, 308],
-    [242, 248, 319, 373, 367, 308],
-    [187, 248, 319],
-    [279, 367, 373],
-    [116, 148, 280, 374, 320, 188],
-    [175, 241, 307],
-    [188, 247, 320],
-    [280, 368, 374],
-    [241, 247, 320, 374, 368, 307],
-    [117, 148, 280, 375, 321, 189],
-    [177, 243, 309],
-    [243, 249, 321, 375, 369, 309],
-    [280, 369, 375],
-    [189, 249, 321],
-    [110, 151, 283, 380, 314, 182],
-    [111, 151, 283, 381, 315, 183],
-    [183, 237, 315],
-    [236, 237, 315, 381, 380, 314],
-    [283, 380, 381],
-    [182, 236, 314],
-    [113, 152, 284, 383, 317, 185],
-    [112, 152, 284, 382, 316, 184],
-    [185, 239, 317],
-    [184, 238, 316],
-    [238, 239, 317, 383, 382, 316],
-    [284, 382, 383],
-    [118, 149, 281, 376, 322, 190],
-    [178, 244, 310],
-    [190, 250, 322],
-    [244, 250, 322, 376, 370, 310],
-    [281, 370, 376],
-    [119, 149, 281, 377, 323, 191],
-    [179, 245, 311],
-    [191, 251, 323],
-    [281, 371, 377],
-    [245, 251, 323, 377, 371, 311],
-    [120, 150, 282, 384, 324, 192],
-    [192, 246, 324],
-    [180, 240, 312],
-    [282, 378, 384],
-    [240, 246, 324, 384, 378, 312],
-    [121, 150, 282, 385, 325, 193],
-    [193, 247, 325],
-    [181, 241, 313],
-    [241, 247, 325, 385, 379, 313],
-    [282, 379, 385],
-    [186, 252, 318],
-    [187, 253, 319],
-    [252, 253, 319, 373, 372, 318],
-    [279, 372, 373],
-    [188, 254, 320],
-    [254, 255, 321, 375, 374, 320],
-    [280, 374, 375],
-    [189, 255, 321],
-    [122, 151, 283, 386, 326, 194],
-    [194, 248, 326],
-    [242, 248, 326, 386, 380, 314],
-    [283, 380, 386],
-    [182, 242, 314],
-    [123, 151, 283, 387, 328, 196],
-    [196, 250, 328],
-    [183, 244, 315],
-    [283, 381, 387],
-    [244, 250, 328, 387, 381, 315],
-    [124, 152, 284, 388, 327, 195],
-    [195, 249, 327],
-    [243, 249, 327, 388, 382, 316],
-    [184, 243, 316],
-    [284, 382, 388],
-    [125, 152, 284, 389, 329, 197],
-    [197, 251, 329],
-    [185, 245, 317],
-    [284, 383, 389],
-    [245, 251, 329, 389, 383, 317],
-    [191, 257, 323],
-    [190, 256, 322],
-    [256, 257, 323, 377, 376, 322],
-    [281, 376, 377],
-    [126, 150, 282, 390, 336, 204],
-    [192, 258, 324],
-    [204, 264, 336],
-    [282, 384, 390],
-    [258, 264, 336, 390, 384, 324],
-    [193, 259, 325],
-    [204, 265, 336],
-    [259, 265, 336, 390, 385, 325],
-    [282, 385, 390],
-    [127, 151, 283, 391, 337, 205],
-    [205, 266, 337],
-    [194, 260, 326],
-    [283, 386, 391],
-    [260, 266, 337, 391, 386, 326],
-    [196, 262, 328],
-    [205, 267, 337],
-    [283, 387, 391],
-    [262, 267, 337, 391, 387, 328],
-    [128, 152, 284, 392, 338, 206],
-    [195, 261, 327],
-    [206, 268, 338],
-    [261, 268, 338, 392, 388, 327],
-    [284, 388, 392],
-    [197, 263, 329],
-    [284, 389, 392],
-    [263, 269, 338, 392, 389, 329],
-    [206, 269, 338],
-    [129, 153, 285, 393, 330, 198],
-    [130, 153, 285, 394, 331, 199],
-    [199, 253, 331],
-    [198, 252, 330],
-    [252, 253, 331, 394, 393, 330],
-    [285, 393, 394],
-    [131, 154, 286, 395, 332, 200],
-    [132, 154, 286, 396, 333, 201],
-    [201, 255, 333],
-    [254, 255, 333, 396, 395, 332],
-    [200, 254, 332],
-    [286, 395, 396],
-    [134, 155, 287, 398, 335, 203],
-    [133, 155, 287, 397, 334, 202],
-    [202, 256, 334],
-    [203, 257, 335],
-    [256, 257, 335, 398, 397, 334],
-    [287, 397, 398],
-    [135, 153, 285, 399, 339, 207],
-    [207, 264, 339],
-    [198, 258, 330],
-    [285, 393, 399],
-    [258, 264, 339, 399, 393, 330],
-    [136, 154, 286, 401, 340, 208],
-    [208, 265, 340],
-    [200, 259, 332],
-    [259, 265, 340, 401, 395, 332],
-    [286, 395, 401],
-    [137, 153, 285, 400, 341, 209],
-    [199, 260, 331],
-    [209, 266, 341],
-    [260, 266, 341, 400, 394, 331],
-    [285, 394, 400],
-    [138, 154, 286, 402, 343, 211],
-    [201, 261, 333],
-    [211, 268, 343],
-    [261, 268, 343, 402, 396, 333],
-    [286, 396, 402],
-    [139, 155, 287, 403, 342, 210],
-    [202, 262, 334],
-    [210, 267, 342],
-    [262, 267, 342, 403, 397, 334],
-    [287, 397, 403],
-    [140, 155, 287, 404, 344, 212],
-    [212, 269, 344],
-    [203, 263, 335],
-    [287, 398, 404],
-    [263, 269, 344, 404, 398, 335],
-    [141, 153, 285, 405, 345, 213],
-    [207, 270, 339],
-    [213, 273, 345],
-    [285, 399, 405],
-    [270, 273, 345, 405, 399, 339],
-    [142, 154, 286, 406, 346, 214],
-    [214, 273, 346],
-    [208, 270, 340],
-    [286, 401, 406],
-    [270, 273, 346, 406, 401, 340],
-    [213, 274, 345],
-    [209, 271, 341],
-    [271, 274, 345, 405, 400, 341],
-    [285, 400, 405],
-    [214, 275, 346],
-    [286, 402, 406],
-    [272, 275, 346, 406, 402, 343],
-    [211, 272, 343],
-    [143, 155, 287, 407, 347, 215],
-    [210, 271, 342],
-    [215, 274, 347],
-    [271, 274, 347, 407, 403, 342],
-    [287, 403, 407],
-    [215, 275, 347],
-    [212, 272, 344],
-    [287, 404, 407],
-    [272, 275, 347, 407, 404, 344],
-    [408, 409, 410],
-    [290, 409, 410],
-    [289, 408, 410],
-    [218, 290, 410],
-    [218, 289, 410],
-    [288, 408, 409],
-    [217, 290, 409],
-    [217, 288, 409],
-    [216, 289, 408],
-    [216, 288, 408],
-    [411, 414, 415],
-    [297, 414, 415],
-    [292, 411, 415],
-    [223, 297, 415],
-    [223, 292, 415],
-    [291, 411, 414],
-    [222, 297, 414],
-    [222, 291, 414],
-    [219, 292, 411],
-    [219, 291, 411],
-    [412, 416, 417],
-    [298, 416, 417],
-    [294, 412, 417],
-    [225, 298, 417],
-    [225, 294, 417],
-    [293, 412, 416],
-    [224, 298, 416],
-    [224, 293, 416],
-    [220, 294, 412],
-    [220, 293, 412],
-    [413, 418, 419],
-    [299, 418, 419],
-    [296, 413, 419],
-    [227, 299, 419],
-    [227, 296, 419],
-    [295, 413, 418],
-    [226, 299, 418],
-    [226, 295, 418],
-    [221, 296, 413],
-    [221, 295, 413],
-    [420, 426, 432],
-    [312, 426, 432],
-    [306, 420, 432],
-    [240, 312, 432],
-    [240, 306, 432],
-    [300, 420, 426],
-    [234, 312, 426],
-    [234, 300, 426],
-    [228, 306, 420],
-    [228, 300, 420],
-    [421, 427, 433],
-    [313, 427, 433],
-    [307, 421, 433],
-    [241, 313, 433],
-    [241, 307, 433],
-    [301, 421, 427],
-    [235, 313, 427],
-    [235, 301, 427],
-    [229, 307, 421],
-    [229, 301, 421],
-    [422, 428, 434],
-    [314, 428, 434],
-    [308, 422, 434],
-    [242, 314, 434],
-    [242, 308, 434],
-    [302, 422, 428],
-    [236, 314, 428],
-    [236, 302, 428],
-    [230, 308, 422],
-    [230, 302, 422],
-    [423, 430, 435],
-    [316, 430, 435],
-    [309, 423, 435],
-    [243, 316, 435],
-    [243, 309, 435],
-    [304, 423, 430],
-    [238, 316, 430],
-    [238, 304, 430],
-    [231, 309, 423],
-    [231, 304, 423],
-    [424, 429, 436],
-    [315, 429, 436],
-    [310, 424, 436],
-    [244, 315, 436],
-    [244, 310, 436],
-    [303, 424, 429],
-    [237, 315, 429],
-    [237, 303, 429],
-    [232, 310, 424],
-    [232, 303, 424],
-    [425, 431, 437],
-    [317, 431, 437],
-    [311, 425, 437],
-    [245, 317, 437],
-    [245, 311, 437],
-    [305, 425, 431],
-    [239, 317, 431],
-    [239, 305, 431],
-    [233, 311, 425],
-    [233, 305, 425],
-    [438, 444, 450],
-    [330, 444, 450],
-    [324, 438, 450],
-    [258, 330, 450],
-    [258, 324, 450],
-    [318, 438, 444],
-    [252, 330, 444],
-    [252, 318, 444],
-    [246, 324, 438],
-    [246, 318, 438],
-    [439, 446, 451],
-    [332, 446, 451],
-    [325, 439, 451],
-    [259, 332, 451],
-    [259, 325, 451],
-    [320, 439, 446],
-    [254, 332, 446],
-    [254, 320, 446],
-    [247, 325, 439],
-    [247, 320, 439],
-    [440, 445, 452],
-    [331, 445, 452],
-    [326, 440, 452],
-    [260, 331, 452],
-    [260, 326, 452],
-    [319, 440, 445],
-    [253, 331, 445],
-    [253, 319, 445],
-    [248, 326, 440],
-    [248, 319, 440],
-    [441, 447, 453],
-    [333, 447, 453],
-    [327, 441, 453],
-    [261, 333, 453],
-    [261, 327, 453],
-    [321, 441, 447],
-    [255, 333, 447],
-    [255, 321, 447],
-    [249, 327, 441],
-    [249, 321, 441],
-    [442, 448, 454],
-    [334, 448, 454],
-    [328, 442, 454],
-    [262, 334, 454],
-    [262, 328, 454],
-    [322, 442, 448],
-    [256, 334, 448],
-    [256, 322, 448],
-    [250, 328, 442],
-    [250, 322, 442],
-    [443, 449, 455],
-    [335, 449, 455],
-    [329, 443, 455],
-    [263, 335, 455],
-    [263, 329, 455],
-    [323, 443, 449],
-    [257, 335, 449],
-    [257, 323, 449],
-    [251, 329, 443],
-    [251, 323, 443],
-    [456, 457, 462],
-    [340, 457, 462],
-    [339, 456, 462],
-    [270, 340, 462],
-    [270, 339, 462],
-    [336, 456, 457],
-    [265, 340, 457],
-    [265, 336, 457],
-    [264, 339, 456],
-    [264, 336, 456],
-    [458, 459, 463],
-    [342, 459, 463],
-    [341, 458, 463],
-    [271, 342, 463],
-    [271, 341, 463],
-    [337, 458, 459],
-    [267, 342, 459],
-    [267, 337, 459],
-    [266, 341, 458],
-    [266, 337, 458],
-    [460, 461, 464],
-    [344, 461, 464],
-    [343, 460, 464],
-    [272, 344, 464],
-    [272, 343, 464],
-    [338, 460, 461],
-    [269, 344, 461],
-    [269, 338, 461],
-    [268, 343, 460],
-    [268, 338, 460],
-    [465, 466, 467],
-    [347, 466, 467],
-    [346, 465, 467],
-    [275, 347, 467],
-    [275, 346, 467],
-    [345, 465, 466],
-    [274, 347, 466],
-    [274, 345, 466],
-    [273, 346, 465],
-    [273, 345, 465],
-    [216, 219, 411, 531, 528, 408],
-    [348, 351, 468],
-    [288, 348, 468, 588, 528, 408],
-    [291, 351, 468, 588, 531, 411],
-    [528, 531, 588],
-    [217, 220, 412, 532, 529, 409],
-    [348, 352, 469],
-    [288, 348, 469, 589, 529, 409],
-    [293, 352, 469, 589, 532, 412],
-    [529, 532, 589],
-    [349, 353, 470],
-    [292, 353, 470, 590, 531, 411],
-    [289, 349, 470, 590, 528, 408],
-    [528, 531, 590],
-    [294, 355, 472, 591, 532, 412],
-    [290, 350, 472, 591, 529, 409],
-    [350, 355, 472],
-    [529, 532, 591],
-    [218, 221, 413, 533, 530, 410],
-    [349, 354, 471],
-    [289, 349, 471, 592, 530, 410],
-    [295, 354, 471, 592, 533, 413],
-    [530, 533, 592],
-    [350, 356, 473],
-    [296, 356, 473, 593, 533, 413],
-    [290, 350, 473, 593, 530, 410],
-    [530, 533, 593],
-    [222, 228, 420, 540, 534, 414],
-    [351, 357, 474],
-    [300, 357, 474, 597, 540, 420],
-    [291, 351, 474, 597, 534, 414],
-    [534, 540, 597],
-    [224, 229, 421, 541, 536, 416],
-    [352, 358, 475],
-    [293, 352, 475, 598, 536, 416],
-    [301, 358, 475, 598, 541, 421],
-    [536, 541, 598],
-    [223, 230, 422, 542, 535, 415],
-    [353, 359, 476],
-    [292, 353, 476, 599, 535, 415],
-    [302, 359, 476, 599, 542, 422],
-    [535, 542, 599],
-    [225, 231, 423, 543, 537, 417],
-    [355, 361, 478],
-    [304, 361, 478, 600, 543, 423],
-    [294, 355, 478, 600, 537, 417],
-    [537, 543, 600],
-    [226, 232, 424, 544, 538, 418],
-    [303, 360, 477, 601, 544, 424],
-    [295, 354, 477, 601, 538, 418],
-    [354, 360, 477],
-    [538, 544, 601],
-    [227, 233, 425, 545, 539, 419],
-    [356, 362, 479],
-    [305, 362, 479, 602, 545, 425],
-    [296, 356, 479, 602, 539, 419],
-    [539, 545, 602],
-    [234, 235, 427, 547, 546, 426],
-    [357, 358, 480],
-    [300, 357, 480, 603, 546, 426],
-    [301, 358, 480, 603, 547, 427],
-    [546, 547, 603],
-    [363, 366, 483],
-    [297, 363, 483, 606, 534, 414],
-    [306, 366, 483, 606, 540, 420],
-    [534, 540, 606],
-    [363, 367, 484],
-    [297, 363, 484, 607, 535, 415],
-    [308, 367, 484, 607, 542, 422],
-    [535, 542, 607],
-    [364, 368, 485],
-    [298, 364, 485, 608, 536, 416],
-    [307, 368, 485, 608, 541, 421],
-    [536, 541, 608],
-    [364, 369, 486],
-    [298, 364, 486, 609, 537, 417],
-    [309, 369, 486, 609, 543, 423],
-    [537, 543, 609],
-    [236, 237, 429, 549, 548, 428],
-    [359, 360, 481],
-    [302, 359, 481, 604, 548, 428],
-    [303, 360, 481, 604, 549, 429],
-    [548, 549, 604],
-    [238, 239, 431, 551, 550, 430],
-    [361, 362, 482],
-    [305, 362, 482, 605, 551, 431],
-    [304, 361, 482, 605, 550, 430],
-    [550, 551, 605],
-    [365, 370, 487],
-    [299, 365, 487, 610, 538, 418],
-    [310, 370, 487, 610, 544, 424],
-    [538, 544, 610],
-    [365, 371, 488],
-    [299, 365, 488, 611, 539, 419],
-    [311, 371, 488, 611, 545, 425],
-    [539, 545, 611],
-    [313, 379, 495, 612, 547, 427],
-    [312, 378, 495, 612, 546, 426],
-    [378, 379, 495],
-    [546, 547, 612],
-    [315, 381, 498, 615, 549, 429],
-    [314, 380, 498, 615, 548, 428],
-    [380, 381, 498],
-    [548, 549, 615],
-    [316, 382, 499, 616, 550, 430],
-    [317, 383, 499, 616, 551, 431],
-    [382, 383, 499],
-    [550, 551, 616],
-    [240, 246, 438, 558, 552, 432],
-    [366, 372, 489],
-    [306, 366, 489, 618, 552, 432],
-    [318, 372, 489, 618, 558, 438],
-    [552, 558, 618],
-    [241, 247, 439, 559, 553, 433],
-    [368, 374, 491],
-    [307, 368, 491, 620, 553, 433],
-    [320, 374, 491, 620, 559, 439],
-    [553, 559, 620],
-    [242, 248, 440, 560, 554, 434],
-    [367, 373, 490],
-    [308, 367, 490, 619, 554, 434],
-    [319, 373, 490, 619, 560, 440],
-    [554, 560, 619],
-    [243, 249, 441, 561, 555, 435],
-    [309, 369, 492, 621, 555, 435],
-    [321, 375, 492, 621, 561, 441],
-    [369, 375, 492],
-    [555, 561, 621],
-    [244, 250, 442, 562, 556, 436],
-    [370, 376, 493],
-    [310, 370, 493, 622, 556, 436],
-    [322, 376, 493, 622, 562, 442],
-    [556, 562, 622],
-    [245, 251, 443, 563, 557, 437],
-    [371, 377, 494],
-    [311, 371, 494, 623, 557, 437],
-    [323, 377, 494, 623, 563, 443],
-    [557, 563, 623],
-    [378, 384, 501],
-    [324, 384, 501, 624, 558, 438],
-    [312, 378, 501, 624, 552, 432],
-    [552, 558, 624],
-    [379, 385, 502],
-    [325, 385, 502, 625, 559, 439],
-    [313, 379, 502, 625, 553, 433],
-    [553, 559, 625],
-    [326, 386, 503, 626, 560, 440],
-    [314, 380, 503, 626, 554, 434],
-    [380, 386, 503],
-    [554, 560, 626],
-    [382, 388, 505],
-    [327, 388, 505, 628, 561, 441],
-    [316, 382, 505, 628, 555, 435],
-    [555, 561, 628],
-    [381, 387, 504],
-    [328, 387, 504, 627, 562, 442],
-    [315, 381, 504, 627, 556, 436],
-    [556, 562, 627],
-    [383, 389, 506],
-    [329, 389, 506, 629, 563, 443],
-    [317, 383, 506, 629, 557, 437],
-    [557, 563, 629],
-    [252, 253, 445, 565, 564, 444],
-    [319, 373, 496, 631, 565, 445],
-    [318, 372, 496, 631, 564, 444],
-    [372, 373, 496],
-    [564, 565, 631],
-    [254, 255, 447, 567, 566, 446],
-    [320, 374, 497, 632, 566, 446],
-    [321, 375, 497, 632, 567, 447],
-    [374, 375, 497],
-    [566, 567, 632],
-    [256, 257, 449, 569, 568, 448],
-    [322, 376, 500, 635, 568, 448],
-    [323, 377, 500, 635, 569, 449],
-    [376, 377, 500],
-    [568, 569, 635],
-    [258, 264, 456, 576, 570, 450],
-    [384, 390, 507],
-    [336, 390, 507, 636, 576, 456],
-    [324, 384, 507, 636, 570, 450],
-    [570, 576, 636],
-    [259, 265, 457, 577, 571, 451],
-    [385, 390, 508],
-    [336, 390, 508, 637, 577, 457],
-    [325, 385, 508, 637, 571, 451],
-    [571, 577, 637],
-    [393, 394, 513],
-    [330, 393, 513, 642, 564, 444],
-    [331, 394, 513, 642, 565, 445],
-    [564, 565, 642],
-    [395, 396, 514],
-    [333, 396, 514, 643, 567, 447],
-    [332, 395, 514, 643, 566, 446],
-    [566, 567, 643],
-    [260, 266, 458, 578, 572, 452],
-    [386, 391, 509],
-    [337, 391, 509, 638, 578, 458],
-    [326, 386, 509, 638, 572, 452],
-    [572, 578, 638],
-    [262, 267, 459, 579, 574, 454],
-    [387, 391, 510],
-    [328, 387, 510, 639, 574, 454],
-    [337, 391, 510, 639, 579, 459],
-    [574, 579, 639],
-    [261, 268, 460, 580, 573, 453],
-    [388, 392, 511],
-    [327, 388, 511, 640, 573, 453],
-    [338, 392, 511, 640, 580, 460],
-    [573, 580, 640],
-    [263, 269, 461, 581, 575, 455],
-    [389, 392, 512],
-    [338, 392, 512, 641, 581, 461],
-    [329, 389, 512, 641, 575, 455],
-    [575, 581, 641],
-    [397, 398, 515],
-    [335, 398, 515, 644, 569, 449],
-    [334, 397, 515, 644, 568, 448],
-    [568, 569, 644],
-    [393, 399, 516],
-    [330, 393, 516, 645, 570, 450],
-    [339, 399, 516, 645, 576, 456],
-    [570, 576, 645],
-    [332, 395, 518, 646, 571, 451],
-    [340, 401, 518, 646, 577, 457],
-    [395, 401, 518],
-    [571, 577, 646],
-    [394, 400, 517],
-    [331, 394, 517, 647, 572, 452],
-    [341, 400, 517, 647, 578, 458],
-    [572, 578, 647],
-    [396, 402, 519],
-    [333, 396, 519, 648, 573, 453],
-    [343, 402, 519, 648, 580, 460],
-    [573, 580, 648],
-    [397, 403, 520],
-    [334, 397, 520, 649, 574, 454],
-    [342, 403, 520, 649, 579, 459],
-    [574, 579, 649],
-    [398, 404, 521],
-    [335, 398, 521, 650, 575, 455],
-    [344, 404, 521, 650, 581, 461],
-    [575, 581, 650],
-    [270, 273, 465, 585, 582, 462],
-    [399, 405, 522],
-    [339, 399, 522, 654, 582, 462],
-    [345, 405, 522, 654, 585, 465],
-    [582, 585, 654],
-    [401, 406, 524],
-    [346, 406, 524, 655, 585, 465],
-    [340, 401, 524, 655, 582, 462],
-    [582, 585, 655],
-    [271, 274, 466, 586, 583, 463],
-    [341, 400, 523, 656, 583, 463],
-    [345, 405, 523, 656, 586, 466],
-    [400, 405, 523],
-    [583, 586, 656],
-    [272, 275, 467, 587, 584, 464],
-    [402, 406, 525],
-    [343, 402, 525, 657, 584, 464],
-    [346, 406, 525, 657, 587, 467],
-    [584, 587, 657],
-    [403, 407, 526],
-    [347, 407, 526, 658, 586, 466],
-    [342, 403, 526, 658, 583, 463],
-    [583, 586, 658],
-    [404, 407, 527],
-    [347, 407, 527, 659, 587, 467],
-    [344, 404, 527, 659, 584, 464],
-    [584, 587, 659],
-    [475, 480, 594],
-    [474, 480, 594],
-    [469, 475, 594],
-    [468, 474, 594],
-    [468, 469, 594],
-    [358, 475, 480],
-    [357, 474, 480],
-    [352, 469, 475],
-    [351, 468, 474],
-    [348, 468, 469],
-    [477, 481, 595],
-    [476, 481, 595],
-    [471, 477, 595],
-    [470, 476, 595],
-    [470, 471, 595],
-    [360, 477, 481],
-    [359, 476, 481],
-    [354, 471, 477],
-    [353, 470, 476],
-    [349, 470, 471],
-    [479, 482, 596],
-    [478, 482, 596],
-    [473, 479, 596],
-    [472, 478, 596],
-    [472, 473, 596],
-    [362, 479, 482],
-    [361, 478, 482],
-    [356, 473, 479],
-    [355, 472, 478],
-    [350, 472, 473],
-    [490, 496, 613],
-    [489, 496, 613],
-    [484, 490, 613],
-    [483, 489, 613],
-    [483, 484, 613],
-    [373, 490, 496],
-    [372, 489, 496],
-    [367, 484, 490],
-    [366, 483, 489],
-    [363, 483, 484],
-    [492, 497, 614],
-    [491, 497, 614],
-    [486, 492, 614],
-    [485, 491, 614],
-    [485, 486, 614],
-    [375, 492, 497],
-    [374, 491, 497],
-    [369, 486, 492],
-    [368, 485, 491],
-    [364, 485, 486],
-    [494, 500, 617],
-    [493, 500, 617],
-    [488, 494, 617],
-    [487, 493, 617],
-    [487, 488, 617],
-    [377, 494, 500],
-    [376, 493, 500],
-    [371, 488, 494],
-    [370, 487, 493],
-    [365, 487, 488],
-    [507, 508, 630],
-    [502, 508, 630],
-    [501, 507, 630],
-    [495, 502, 630],
-    [495, 501, 630],
-    [390, 507, 508],
-    [385, 502, 508],
-    [384, 501, 507],
-    [379, 495, 502],
-    [378, 495, 501],
-    [509, 510, 633],
-    [504, 510, 633],
-    [503, 509, 633],
-    [498, 504, 633],
-    [498, 503, 633],
-    [391, 509, 510],
-    [387, 504, 510],
-    [386, 503, 509],
-    [381, 498, 504],
-    [380, 498, 503],
-    [511, 512, 634],
-    [506, 512, 634],
-    [505, 511, 634],
-    [499, 506, 634],
-    [499, 505, 634],
-    [392, 511, 512],
-    [389, 506, 512],
-    [388, 505, 511],
-    [383, 499, 506],
-    [382, 499, 505],
-    [522, 523, 651],
-    [517, 523, 651],
-    [516, 522, 651],
-    [513, 517, 651],
-    [513, 516, 651],
-    [405, 522, 523],
-    [400, 517, 523],
-    [399, 516, 522],
-    [394, 513, 517],
-    [393, 513, 516],
-    [524, 525, 652],
-    [519, 525, 652],
-    [518, 524, 652],
-    [514, 519, 652],
-    [514, 518, 652],
-    [406, 524, 525],
-    [402, 519, 525],
-    [401, 518, 524],
-    [396, 514, 519],
-    [395, 514, 518],
-    [526, 527, 653],
-    [521, 527, 653],
-    [520, 526, 653],
-    [515, 521, 653],
-    [515, 520, 653],
-    [407, 526, 527],
-    [404, 521, 527],
-    [403, 520, 526],
-    [398, 515, 521],
-    [397, 515, 520],
-    [528, 588, 660],
-    [529, 589, 661],
-    [408, 409, 529, 661, 660, 528],
-    [468, 469, 589, 661, 660, 588],
-    [408, 410, 530, 664, 662, 528],
-    [470, 471, 592, 664, 662, 590],
-    [530, 592, 664],
-    [528, 590, 662],
-    [409, 410, 530, 665, 663, 529],
-    [530, 593, 665],
-    [529, 591, 663],
-    [472, 473, 593, 665, 663, 591],
-    [411, 414, 534, 672, 666, 531],
-    [468, 474, 597, 672, 666, 588],
-    [531, 588, 666],
-    [534, 597, 672],
-    [412, 416, 536, 674, 668, 532],
-    [536, 598, 674],
-    [532, 589, 668],
-    [469, 475, 598, 674, 668, 589],
-    [531, 590, 667],
-    [411, 415, 535, 673, 667, 531],
-    [535, 599, 673],
-    [470, 476, 599, 673, 667, 590],
-    [412, 417, 537, 675, 669, 532],
-    [537, 600, 675],
-    [532, 591, 669],
-    [472, 478, 600, 675, 669, 591],
-    [413, 418, 538, 676, 670, 533],
-    [533, 592, 670],
-    [538, 601, 676],
-    [471, 477, 601, 676, 670, 592],
-    [413, 419, 539, 677, 671, 533],
-    [539, 602, 677],
-    [473, 479, 602, 677, 671, 593],
-    [533, 593, 671],
-    [540, 597, 684],
-    [546, 603, 690],
-    [420, 426, 546, 690, 684, 540],
-    [474, 480, 603, 690, 684, 597],
-    [421, 427, 547, 691, 685, 541],
-    [541, 598, 685],
-    [547, 603, 691],
-    [475, 480, 603, 691, 685, 598],
-    [534, 606, 678],
-    [414, 415, 535, 679, 678, 534],
-    [535, 607, 679],
-    [483, 484, 607, 679, 678, 606],
-    [416, 417, 537, 681, 680, 536],
-    [536, 608, 680],
-    [485, 486, 609, 681, 680, 608],
-    [537, 609, 681],
-    [422, 428, 548, 692, 686, 542],
-    [542, 599, 686],
-    [548, 604, 692],
-    [476, 481, 604, 692, 686, 599],
-    [544, 601, 688],
-    [549, 604, 693],
-    [424, 429, 549, 693, 688, 544],
-    [477, 481, 604, 693, 688, 601],
-    [423, 430, 550, 694, 687, 543],
-    [543, 600, 687],
-    [478, 482, 605, 694, 687, 600],
-    [550, 605, 694],
-    [545, 602, 689],
-    [551, 605, 695],
-    [425, 431, 551, 695, 689, 545],
-    [479, 482, 605, 695, 689, 602],
-    [539, 611, 683],
-    [538, 610, 682],
-    [418, 419, 539, 683, 682, 538],
-    [487, 488, 611, 683, 682, 610],
-    [420, 432, 552, 708, 696, 540],
-    [483, 489, 618, 708, 696, 606],
-    [552, 618, 708],
-    [540, 606, 696],
-    [421, 433, 553, 709, 697, 541],
-    [541, 608, 697],
-    [485, 491, 620, 709, 697, 608],
-    [553, 620, 709],
-    [422, 434, 554, 710, 698, 542],
-    [542, 607, 698],
-    [554, 619, 710],
-    [484, 490, 619, 710, 698, 607],
-    [423, 435, 555, 711, 699, 543],
-    [543, 609, 699],
-    [486, 492, 621, 711, 699, 609],
-    [555, 621, 711],
-    [424, 436, 556, 712, 700, 544],
-    [556, 622, 712],
-    [487, 493, 622, 712, 700, 610],
-    [544, 610, 700],
-    [425, 437, 557, 713, 701, 545],
-    [488, 494, 623, 713, 701, 611],
-    [557, 623, 713],
-    [545, 611, 701],
-    [426, 432, 552, 714, 702, 546],
-    [552, 624, 714],
-    [546, 612, 702],
-    [495, 501, 624, 714, 702, 612],
-    [427, 433, 553, 715, 703, 547],
-    [553, 625, 715],
-    [547, 612, 703],
-    [495, 502, 625, 715, 703, 612],
-    [428, 434, 554, 716, 704, 548],
-    [548, 615, 704],
-    [554, 626, 716],
-    [498, 503, 626, 716, 704, 615],
-    [429, 436, 556, 717, 705, 549],
-    [556, 627, 717],
-    [498, 504, 627, 717, 705, 615],
-    [549, 615, 705],
-    [550, 616, 706],
-    [555, 628, 718],
-    [430, 435, 555, 718, 706, 550],
-    [499, 505, 628, 718, 706, 616],
-    [431, 437, 557, 719, 707, 551],
-    [557, 629, 719],
-    [551, 616, 707],
-    [499, 506, 629, 719, 707, 616],
-    [438, 444, 564, 732, 720, 558],
-    [558, 618, 720],
-    [564, 631, 732],
-    [489, 496, 631, 732, 720, 618],
-    [565, 631, 733],
-    [560, 619, 721],
-    [440, 445, 565, 733, 721, 560],
-    [490, 496, 631, 733, 721, 619],
-    [439, 446, 566, 734, 722, 559],
-    [559, 620, 722],
-    [491, 497, 632, 734, 722, 620],
-    [566, 632, 734],
-    [441, 447, 567, 735, 723, 561],
-    [561, 621, 723],
-    [567, 632, 735],
-    [492, 497, 632, 735, 723, 621],
-    [442, 448, 568, 736, 724, 562],
-    [562, 622, 724],
-    [568, 635, 736],
-    [493, 500, 635, 736, 724, 622],
-    [443, 449, 569, 737, 725, 563],
-    [563, 623, 725],
-    [569, 635, 737],
-    [494, 500, 635, 737, 725, 623],
-    [438, 450, 570, 738, 726, 558],
-    [501, 507, 636, 738, 726, 624],
-    [558, 624, 726],
-    [570, 636, 738],
-    [439, 451, 571, 739, 727, 559],
-    [559, 625, 727],
-    [502, 508, 637, 739, 727, 625],
-    [571, 637, 739],
-    [440, 452, 572, 740, 728, 560],
-    [572, 638, 740],
-    [503, 509, 638, 740, 728, 626],
-    [560, 626, 728],
-    [441, 453, 573, 741, 729, 561],
-    [573, 640, 741],
-    [561, 628, 729],
-    [505, 511, 640, 741, 729, 628],
-    [442, 454, 574, 742, 730, 562],
-    [574, 639, 742],
-    [504, 510, 639, 742, 730, 627],
-    [562, 627, 730],
-    [443, 455, 575, 743, 731, 563],
-    [506, 512, 641, 743, 731, 629],
-    [563, 629, 731],
-    [575, 641, 743],
-    [576, 636, 756],
-    [577, 637, 757],
-    [456, 457, 577, 757, 756, 576],
-    [507, 508, 637, 757, 756, 636],
-    [570, 645, 750],
-    [564, 642, 744],
-    [444, 450, 570, 750, 744, 564],
-    [513, 516, 645, 750, 744, 642],
-    [445, 452, 572, 752, 745, 565],
-    [572, 647, 752],
-    [513, 517, 647, 752, 745, 642],
-    [565, 642, 745],
-    [571, 646, 751],
-    [566, 643, 746],
-    [446, 451, 571, 751, 746, 566],
-    [514, 518, 646, 751, 746, 643],
-    [447, 453, 573, 753, 747, 567],
-    [573, 648, 753],
-    [567, 643, 747],
-    [514, 519, 648, 753, 747, 643],
-    [458, 459, 579, 759, 758, 578],
-    [579, 639, 759],
-    [509, 510, 639, 759, 758, 638],
-    [578, 638, 758],
-    [581, 641, 761],
-    [460, 461, 581, 761, 760, 580],
-    [580, 640, 760],
-    [511, 512, 641, 761, 760, 640],
-    [448, 454, 574, 754, 748, 568],
-    [574, 649, 754],
-    [568, 644, 748],
-    [515, 520, 649, 754, 748, 644],
-    [575, 650, 755],
-    [569, 644, 749],
-    [449, 455, 575, 755, 749, 569],
-    [515, 521, 650, 755, 749, 644],
-    [456, 462, 582, 768, 762, 576],
-    [576, 645, 762],
-    [516, 522, 654, 768, 762, 645],
-    [582, 654, 768],
-    [457, 462, 582, 769, 763, 577],
-    [582, 655, 769],
-    [577, 646, 763],
-    [518, 524, 655, 769, 763, 646],
-    [458, 463, 583, 770, 764, 578],
-    [578, 647, 764],
-    [583, 656, 770],
-    [517, 523, 656, 770, 764, 647],
-    [584, 657, 772],
-    [460, 464, 584, 772, 766, 580],
-    [580, 648, 766],
-    [519, 525, 657, 772, 766, 648],
-    [459, 463, 583, 771, 765, 579],
-    [579, 649, 765],
-    [583, 658, 771],
-    [520, 526, 658, 771, 765, 649],
-    [461, 464, 584, 773, 767, 581],
-    [521, 527, 659, 773, 767, 650],
-    [581, 650, 767],
-    [584, 659, 773],
-    [465, 466, 586, 776, 774, 585],
-    [585, 654, 774],
-    [586, 656, 776],
-    [522, 523, 656, 776, 774, 654],
-    [465, 467, 587, 777, 775, 585],
-    [524, 525, 657, 777, 775, 655],
-    [585, 655, 775],
-    [587, 657, 777],
-    [587, 659, 779],
-    [586, 658, 778],
-    [466, 467, 587, 779, 778, 586],
-    [526, 527, 659, 779, 778, 658],
-    [529, 661, 663],
-    [528, 660, 662],
-    [660, 661, 663, 665, 664, 662],
-    [530, 664, 665],
-    [535, 673, 679],
-    [531, 666, 667],
-    [534, 672, 678],
-    [666, 667, 673, 679, 678, 672],
-    [532, 668, 669],
-    [668, 669, 675, 681, 680, 674],
-    [537, 675, 681],
-    [536, 674, 680],
-    [538, 676, 682],
-    [539, 677, 683],
-    [670, 671, 677, 683, 682, 676],
-    [533, 670, 671],
-    [546, 690, 702],
-    [540, 684, 696],
-    [684, 690, 702, 714, 708, 696],
-    [552, 708, 714],
-    [547, 691, 703],
-    [685, 691, 703, 715, 709, 697],
-    [553, 709, 715],
-    [541, 685, 697],
-    [542, 686, 698],
-    [686, 692, 704, 716, 710, 698],
-    [548, 692, 704],
-    [554, 710, 716],
-    [550, 694, 706],
-    [687, 694, 706, 718, 711, 699],
-    [555, 711, 718],
-    [543, 687, 699],
-    [544, 688, 700],
-    [688, 693, 705, 717, 712, 700],
-    [549, 693, 705],
-    [556, 712, 717],
-    [551, 695, 707],
-    [545, 689, 701],
-    [689, 695, 707, 719, 713, 701],
-    [557, 713, 719],
-    [564, 732, 744],
-    [570, 738, 750],
-    [720, 726, 738, 750, 744, 732],
-    [558, 720, 726],
-    [571, 739, 751],
-    [722, 727, 739, 751, 746, 734],
-    [566, 734, 746],
-    [559, 722, 727],
-    [565, 733, 745],
-    [721, 728, 740, 752, 745, 733],
-    [560, 721, 728],
-    [572, 740, 752],
-    [573, 741, 753],
-    [723, 729, 741, 753, 747, 735],
-    [561, 723, 729],
-    [567, 735, 747],
-    [568, 736, 748],
-    [724, 730, 742, 754, 748, 736],
-    [562, 724, 730],
-    [574, 742, 754],
-    [569, 737, 749],
-    [575, 743, 755],
-    [725, 731, 743, 755, 749, 737],
-    [563, 725, 731],
-    [577, 757, 763],
-    [576, 756, 762],
-    [756, 757, 763, 769, 768, 762],
-    [582, 768, 769],
-    [583, 770, 771],
-    [758, 759, 765, 771, 770, 764],
-    [578, 758, 764],
-    [579, 759, 765],
-    [580, 760, 766],
-    [581, 761, 767],
-    [584, 772, 773],
-    [760, 761, 767, 773, 772, 766],
-    [586, 776, 778],
-    [587, 777, 779],
-    [774, 775, 777, 779, 778, 776],
-    [585, 774, 775],
-    [782, 852, 855],
-    [780, 852, 855],
-    [667, 782, 855],
-    [666, 780, 855],
-    [666, 667, 855],
-    [662, 782, 852],
-    [660, 780, 852],
-    [660, 662, 852],
-    [590, 667, 782],
-    [590, 662, 782],
-    [588, 666, 780],
-    [588, 660, 780],
-    [783, 853, 856],
-    [781, 853, 856],
-    [669, 783, 856],
-    [668, 781, 856],
-    [668, 669, 856],
-    [663, 783, 853],
-    [661, 781, 853],
-    [661, 663, 853],
-    [591, 669, 783],
-    [591, 663, 783],
-    [589, 668, 781],
-    [589, 661, 781],
-    [785, 854, 857],
-    [784, 854, 857],
-    [671, 785, 857],
-    [670, 784, 857],
-    [670, 671, 857],
-    [665, 785, 854],
-    [664, 784, 854],
-    [664, 665, 854],
-    [593, 671, 785],
-    [593, 665, 785],
-    [592, 670, 784],
-    [592, 664, 784],
-    [469, 589, 781, 913, 786, 594],
-    [468, 588, 780, 912, 786, 594],
-    [660, 661, 781, 913, 912, 780],
-    [786, 912, 913],
-    [470, 590, 782, 914, 787, 595],
-    [471, 592, 784, 915, 787, 595],
-    [662, 664, 784, 915, 914, 782],
-    [787, 914, 915],
-    [472, 591, 783, 916, 788, 596],
-    [473, 593, 785, 917, 788, 596],
-    [663, 665, 785, 917, 916, 783],
-    [788, 916, 917],
-    [474, 594, 786, 918, 789, 597],
-    [597, 672, 789],
-    [666, 672, 789, 918, 912, 780],
-    [786, 912, 918],
-    [475, 594, 786, 919, 790, 598],
-    [598, 674, 790],
-    [786, 913, 919],
-    [668, 674, 790, 919, 913, 781],
-    [476, 595, 787, 920, 791, 599],
-    [599, 673, 791],
-    [667, 673, 791, 920, 914, 782],
-    [787, 914, 920],
-    [600, 675, 792],
-    [478, 596, 788, 922, 792, 600],
-    [788, 916, 922],
-    [669, 675, 792, 922, 916, 783],
-    [477, 595, 787, 921, 793, 601],
-    [601, 676, 793],
-    [670, 676, 793, 921, 915, 784],
-    [787, 915, 921],
-    [479, 596, 788, 923, 794, 602],
-    [602, 677, 794],
-    [671, 677, 794, 923, 917, 785],
-    [788, 917, 923],
-    [480, 594, 786, 924, 795, 603],
-    [597, 684, 789],
-    [603, 690, 795],
-    [684, 690, 795, 924, 918, 789],
-    [786, 918, 924],
-    [598, 685, 790],
-    [603, 691, 795],
-    [786, 919, 924],
-    [685, 691, 795, 924, 919, 790],
-    [481, 595, 787, 925, 796, 604],
-    [599, 686, 791],
-    [604, 692, 796],
-    [787, 920, 925],
-    [686, 692, 796, 925, 920, 791],
-    [601, 688, 793],
-    [604, 693, 796],
-    [787, 921, 925],
-    [688, 693, 796, 925, 921, 793],
-    [482, 596, 788, 926, 797, 605],
-    [600, 687, 792],
-    [605, 694, 797],
-    [788, 922, 926],
-    [687, 694, 797, 926, 922, 792],
-    [602, 689, 794],
-    [605, 695, 797],
-    [689, 695, 797, 926, 923, 794],
-    [788, 923, 926],
-    [798, 858, 864],
-    [789, 858, 864],
-    [696, 798, 864],
-    [684, 789, 864],
-    [684, 696, 864],
-    [678, 798, 858],
-    [672, 789, 858],
-    [672, 678, 858],
-    [606, 696, 798],
-    [606, 678, 798],
-    [800, 860, 865],
-    [790, 860, 865],
-    [697, 800, 865],
-    [685, 790, 865],
-    [685, 697, 865],
-    [680, 800, 860],
-    [674, 790, 860],
-    [674, 680, 860],
-    [608, 697, 800],
-    [608, 680, 800],
-    [799, 859, 866],
-    [791, 859, 866],
-    [698, 799, 866],
-    [686, 791, 866],
-    [686, 698, 866],
-    [679, 799, 859],
-    [673, 791, 859],
-    [673, 679, 859],
-    [607, 698, 799],
-    [607, 679, 799],
-    [801, 861, 867],
-    [792, 861, 867],
-    [699, 801, 867],
-    [687, 792, 867],
-    [687, 699, 867],
-    [681, 801, 861],
-    [675, 792, 861],
-    [675, 681, 861],
-    [609, 699, 801],
-    [609, 681, 801],
-    [802, 862, 868],
-    [793, 862, 868],
-    [700, 802, 868],
-    [688, 793, 868],
-    [688, 700, 868],
-    [682, 802, 862],
-    [676, 793, 862],
-    [676, 682, 862],
-    [610, 700, 802],
-    [610, 682, 802],
-    [803, 863, 869],
-    [794, 863, 869],
-    [701, 803, 869],
-    [689, 794, 869],
-    [689, 701, 869],
-    [683, 803, 863],
-    [677, 794, 863],
-    [677, 683, 863],
-    [611, 701, 803],
-    [611, 683, 803],
-    [484, 607, 799, 928, 805, 613],
-    [483, 606, 798, 927, 805, 613],
-    [678, 679, 799, 928, 927, 798],
-    [805, 927, 928],
-    [485, 608, 800, 929, 806, 614],
-    [486, 609, 801, 930, 806, 614],
-    [680, 681, 801, 930, 929, 800],
-    [806, 929, 930],
-    [487, 610, 802, 931, 809, 617],
-    [488, 611, 803, 932, 809, 617],
-    [682, 683, 803, 932, 931, 802],
-    [809, 931, 932],
-    [804, 870, 871],
-    [795, 870, 871],
-    [703, 804, 871],
-    [691, 795, 871],
-    [691, 703, 871],
-    [702, 804, 870],
-    [690, 795, 870],
-    [690, 702, 870],
-    [612, 703, 804],
-    [612, 702, 804],
-    [807, 872, 873],
-    [796, 872, 873],
-    [705, 807, 873],
-    [693, 796, 873],
-    [693, 705, 873],
-    [704, 807, 872],
-    [692, 796, 872],
-    [692, 704, 872],
-    [615, 705, 807],
-    [615, 704, 807],
-    [808, 874, 875],
-    [797, 874, 875],
-    [707, 808, 875],
-    [695, 797, 875],
-    [695, 707, 875],
-    [706, 808, 874],
-    [694, 797, 874],
-    [694, 706, 874],
-    [616, 707, 808],
-    [616, 706, 808],
-    [618, 708, 810],
-    [489, 613, 805, 933, 810, 618],
-    [696, 708, 810, 933, 927, 798],
-    [805, 927, 933],
-    [619, 710, 811],
-    [490, 613, 805, 934, 811, 619],
-    [805, 928, 934],
-    [698, 710, 811, 934, 928, 799],
-    [620, 709, 812],
-    [491, 614, 806, 935, 812, 620],
-    [697, 709, 812, 935, 929, 800],
-    [806, 929, 935],
-    [621, 711, 813],
-    [492, 614, 806, 936, 813, 621],
-    [699, 711, 813, 936, 930, 801],
-    [806, 930, 936],
-    [622, 712, 814],
-    [493, 617, 809, 937, 814, 622],
-    [809, 931, 937],
-    [700, 712, 814, 937, 931, 802],
-    [623, 713, 815],
-    [494, 617, 809, 938, 815, 623],
-    [701, 713, 815, 938, 932, 803],
-    [809, 932, 938],
-    [816, 876, 882],
-    [810, 876, 882],
-    [726, 816, 882],
-    [720, 810, 882],
-    [720, 726, 882],
-    [714, 816, 876],
-    [708, 810, 876],
-    [708, 714, 876],
-    [624, 726, 816],
-    [624, 714, 816],
-    [618, 720, 810],
-    [495, 612, 804, 939, 822, 630],
-    [501, 624, 816, 945, 822, 630],
-    [702, 714, 816, 945, 939, 804],
-    [822, 939, 945],
-    [625, 715, 817],
-    [502, 625, 817, 946, 822, 630],
-    [822, 939, 946],
-    [703, 715, 817, 946, 939, 804],
-    [496, 613, 805, 940, 823, 631],
-    [631, 732, 823],
-    [720, 732, 823, 940, 933, 810],
-    [805, 933, 940],
-    [619, 721, 811],
-    [631, 733, 823],
-    [805, 934, 940],
-    [721, 733, 823, 940, 934, 811],
-    [817, 877, 883],
-    [812, 877, 883],
-    [727, 817, 883],
-    [722, 812, 883],
-    [722, 727, 883],
-    [715, 817, 877],
-    [709, 812, 877],
-    [709, 715, 877],
-    [625, 727, 817],
-    [620, 722, 812],
-    [818, 878, 884],
-    [811, 878, 884],
-    [728, 818, 884],
-    [721, 811, 884],
-    [721, 728, 884],
-    [716, 818, 878],
-    [710, 811, 878],
-    [710, 716, 878],
-    [626, 728, 818],
-    [626, 716, 818],
-    [497, 614, 806, 941, 824, 632],
-    [632, 734, 824],
-    [722, 734, 824, 941, 935, 812],
-    [806, 935, 941],
-    [621, 723, 813],
-    [632, 735, 824],
-    [806, 936, 941],
-    [723, 735, 824, 941, 936, 813],
-    [498, 615, 807, 942, 825, 633],
-    [503, 626, 818, 947, 825, 633],
-    [825, 942, 947],
-    [704, 716, 818, 947, 942, 807],
-    [627, 717, 819],
-    [504, 627, 819, 948, 825, 633],
-    [705, 717, 819, 948, 942, 807],
-    [825, 942, 948],
-    [820, 879, 885],
-    [813, 879, 885],
-    [729, 820, 885],
-    [723, 813, 885],
-    [723, 729, 885],
-    [718, 820, 879],
-    [711, 813, 879],
-    [711, 718, 879],
-    [628, 729, 820],
-    [628, 718, 820],
-    [819, 880, 886],
-    [814, 880, 886],
-    [730, 819, 886],
-    [724, 814, 886],
-    [724, 730, 886],
-    [717, 819, 880],
-    [712, 814, 880],
-    [712, 717, 880],
-    [627, 730, 819],
-    [622, 724, 814],
-    [499, 616, 808, 943, 826, 634],
-    [505, 628, 820, 949, 826, 634],
-    [826, 943, 949],
-    [706, 718, 820, 949, 943, 808],
-    [629, 719, 821],
-    [506, 629, 821, 950, 826, 634],
-    [707, 719, 821, 950, 943, 808],
-    [826, 943, 950],
-    [500, 617, 809, 944, 827, 635],
-    [635, 736, 827],
-    [809, 937, 944],
-    [724, 736, 827, 944, 937, 814],
-    [623, 725, 815],
-    [635, 737, 827],
-    [725, 737, 827, 944, 938, 815],
-    [809, 938, 944],
-    [821, 881, 887],
-    [815, 881, 887],
-    [731, 821, 887],
-    [725, 815, 887],
-    [725, 731, 887],
-    [719, 821, 881],
-    [713, 815, 881],
-    [713, 719, 881],
-    [629, 731, 821],
-    [507, 630, 822, 951, 828, 636],
-    [636, 738, 828],
-    [726, 738, 828, 951, 945, 816],
-    [822, 945, 951],
-    [508, 630, 822, 952, 829, 637],
-    [637, 739, 829],
-    [822, 946, 952],
-    [727, 739, 829, 952, 946, 817],
-    [638, 740, 830],
-    [509, 633, 825, 953, 830, 638],
-    [728, 740, 830, 953, 947, 818],
-    [825, 947, 953],
-    [510, 633, 825, 954, 831, 639],
-    [639, 742, 831],
-    [730, 742, 831, 954, 948, 819],
-    [825, 948, 954],
-    [511, 634, 826, 955, 832, 640],
-    [640, 741, 832],
-    [826, 949, 955],
-    [729, 741, 832, 955, 949, 820],
-    [512, 634, 826, 956, 833, 641],
-    [641, 743, 833],
-    [731, 743, 833, 956, 950, 821],
-    [826, 950, 956],
-    [834, 888, 889],
-    [823, 888, 889],
-    [745, 834, 889],
-    [733, 823, 889],
-    [733, 745, 889],
-    [744, 834, 888],
-    [732, 823, 888],
-    [732, 744, 888],
-    [642, 745, 834],
-    [642, 744, 834],
-    [835, 890, 891],
-    [824, 890, 891],
-    [747, 835, 891],
-    [735, 824, 891],
-    [735, 747, 891],
-    [746, 835, 890],
-    [734, 824, 890],
-    [734, 746, 890],
-    [643, 747, 835],
-    [643, 746, 835],
-    [836, 892, 893],
-    [827, 892, 893],
-    [749, 836, 893],
-    [737, 827, 893],
-    [737, 749, 893],
-    [748, 836, 892],
-    [736, 827, 892],
-    [736, 748, 892],
-    [644, 749, 836],
-    [644, 748, 836],
-    [636, 756, 828],
-    [637, 757, 829],
-    [756, 757, 829, 952, 951, 828],
-    [822, 951, 952],
-    [639, 759, 831],
-    [638, 758, 830],
-    [758, 759, 831, 954, 953, 830],
-    [825, 953, 954],
-    [641, 761, 833],
-    [640, 760, 832],
-    [760, 761, 833, 956, 955, 832],
-    [826, 955, 956],
-    [837, 894, 900],
-    [828, 894, 900],
-    [762, 837, 900],
-    [756, 828, 900],
-    [756, 762, 900],
-    [750, 837, 894],
-    [738, 828, 894],
-    [738, 750, 894],
-    [645, 762, 837],
-    [645, 750, 837],
-    [838, 895, 901],
-    [829, 895, 901],
-    [763, 838, 901],
-    [757, 829, 901],
-    [757, 763, 901],
-    [751, 838, 895],
-    [739, 829, 895],
-    [739, 751, 895],
-    [646, 763, 838],
-    [646, 751, 838],
-    [839, 896, 902],
-    [830, 896, 902],
-    [764, 839, 902],
-    [758, 830, 902],
-    [758, 764, 902],
-    [752, 839, 896],
-    [740, 830, 896],
-    [740, 752, 896],
-    [647, 764, 839],
-    [647, 752, 839],
-    [840, 897, 904],
-    [832, 897, 904],
-    [766, 840, 904],
-    [760, 832, 904],
-    [760, 766, 904],
-    [753, 840, 897],
-    [741, 832, 897],
-    [741, 753, 897],
-    [648, 766, 840],
-    [648, 753, 840],
-    [841, 898, 903],
-    [831, 898, 903],
-    [765, 841, 903],
-    [759, 831, 903],
-    [759, 765, 903],
-    [754, 841, 898],
-    [742, 831, 898],
-    [742, 754, 898],
-    [649, 765, 841],
-    [649, 754, 841],
-    [842, 899, 905],
-    [833, 899, 905],
-    [767, 842, 905],
-    [761, 833, 905],
-    [761, 767, 905],
-    [755, 842, 899],
-    [743, 833, 899],
-    [743, 755, 899],
-    [650, 767, 842],
-    [650, 755, 842],
-    [513, 642, 834, 957, 843, 651],
-    [516, 645, 837, 960, 843, 651],
-    [744, 750, 837, 960, 957, 834],
-    [843, 957, 960],
-    [517, 647, 839, 961, 843, 651],
-    [843, 957, 961],
-    [745, 752, 839, 961, 957, 834],
-    [514, 643, 835, 958, 844, 652],
-    [518, 646, 838, 962, 844, 652],
-    [844, 958, 962],
-    [746, 751, 838, 962, 958, 835],
-    [519, 648, 840, 963, 844, 652],
-    [844, 958, 963],
-    [747, 753, 840, 963, 958, 835],
-    [515, 644, 836, 959, 845, 653],
-    [520, 649, 841, 964, 845, 653],
-    [845, 959, 964],
-    [748, 754, 841, 964, 959, 836],
-    [521, 650, 842, 965, 845, 653],
-    [749, 755, 842, 965, 959, 836],
-    [845, 959, 965],
-    [654, 768, 846],
-    [522, 651, 843, 966, 846, 654],
-    [762, 768, 846, 966, 960, 837],
-    [843, 960, 966],
-    [655, 769, 847],
-    [524, 652, 844, 968, 847, 655],
-    [763, 769, 847, 968, 962, 838],
-    [844, 962, 968],
-    [523, 651, 843, 967, 848, 656],
-    [656, 770, 848],
-    [843, 961, 967],
-    [764, 770, 848, 967, 961, 839],
-    [657, 772, 849],
-    [525, 652, 844, 969, 849, 657],
-    [766, 772, 849, 969, 963, 840],
-    [844, 963, 969],
-    [526, 653, 845, 970, 850, 658],
-    [658, 771, 850],
-    [845, 964, 970],
-    [765, 771, 850, 970, 964, 841],
-    [659, 773, 851],
-    [527, 653, 845, 971, 851, 659],
-    [845, 965, 971],
-    [767, 773, 851, 971, 965, 842],
-    [654, 774, 846],
-    [656, 776, 848],
-    [774, 776, 848, 967, 966, 846],
-    [843, 966, 967],
-    [655, 775, 847],
-    [657, 777, 849],
-    [775, 777, 849, 969, 968, 847],
-    [844, 968, 969],
-    [659, 779, 851],
-    [658, 778, 850],
-    [778, 779, 851, 971, 970, 850],
-    [845, 970, 971],
-    [847, 906, 909],
-    [846, 906, 909],
-    [775, 847, 909],
-    [774, 846, 909],
-    [774, 775, 909],
-    [769, 847, 906],
-    [768, 846, 906],
-    [768, 769, 906],
-    [850, 907, 910],
-    [848, 907, 910],
-    [778, 850, 910],
-    [776, 848, 910],
-    [776, 778, 910],
-    [771, 850, 907],
-    [770, 848, 907],
-    [770, 771, 907],
-    [851, 908, 911],
-    [849, 908, 911],
-    [779, 851, 911],
-    [777, 849, 911],
-    [777, 779, 911],
-    [773, 851, 908],
-    [772, 849, 908],
-    [772, 773, 908],
-    [662, 664, 854, 974, 972, 852],
-    [663, 665, 854, 974, 973, 853],
-    [660, 661, 853, 973, 972, 852],
-    [972, 973, 974],
-    [666, 672, 858, 978, 975, 855],
-    [667, 673, 859, 979, 975, 855],
-    [678, 679, 859, 979, 978, 858],
-    [975, 978, 979],
-    [668, 674, 860, 980, 976, 856],
-    [680, 681, 861, 981, 980, 860],
-    [669, 675, 861, 981, 976, 856],
-    [976, 980, 981],
-    [671, 677, 863, 983, 977, 857],
-    [670, 676, 862, 982, 977, 857],
-    [682, 683, 863, 983, 982, 862],
-    [977, 982, 983],
-    [696, 708, 876, 996, 984, 864],
-    [702, 714, 876, 996, 990, 870],
-    [684, 690, 870, 990, 984, 864],
-    [984, 990, 996],
-    [685, 691, 871, 991, 985, 865],
-    [697, 709, 877, 997, 985, 865],
-    [703, 715, 877, 997, 991, 871],
-    [985, 991, 997],
-    [686, 692, 872, 992, 986, 866],
-    [698, 710, 878, 998, 986, 866],
-    [704, 716, 878, 998, 992, 872],
-    [986, 992, 998],
-    [687, 694, 874, 994, 987, 867],
-    [699, 711, 879, 999, 987, 867],
-    [706, 718, 879, 999, 994, 874],
-    [987, 994, 999],
-    [700, 712, 880, 1000, 988, 868],
-    [705, 717, 880, 1000, 993, 873],
-    [688, 693, 873, 993, 988, 868],
-    [988, 993, 1000],
-    [701, 713, 881, 1001, 989, 869],
-    [707, 719, 881, 1001, 995, 875],
-    [689, 695, 875, 995, 989, 869],
-    [989, 995, 1001],
-    [726, 738, 894, 1014, 1002, 882],
-    [720, 732, 888, 1008, 1002, 882],
-    [744, 750, 894, 1014, 1008, 888],
-    [1002, 1008, 1014],
-    [727, 739, 895, 1015, 1003, 883],
-    [722, 734, 890, 1010, 1003, 883],
-    [746, 751, 895, 1015, 1010, 890],
-    [1003, 1010, 1015],
-    [745, 752, 896, 1016, 1009, 889],
-    [728, 740, 896, 1016, 1004, 884],
-    [721, 733, 889, 1009, 1004, 884],
-    [1004, 1009, 1016],
-    [729, 741, 897, 1017, 1005, 885],
-    [747, 753, 897, 1017, 1011, 891],
-    [723, 735, 891, 1011, 1005, 885],
-    [1005, 1011, 1017],
-    [730, 742, 898, 1018, 1006, 886],
-    [748, 754, 898, 1018, 1012, 892],
-    [724, 736, 892, 1012, 1006, 886],
-    [1006, 1012, 1018],
-    [731, 743, 899, 1019, 1007, 887],
-    [725, 737, 893, 1013, 1007, 887],
-    [749, 755, 899, 1019, 1013, 893],
-    [1007, 1013, 1019],
-    [762, 768, 906, 1026, 1020, 900],
-    [763, 769, 906, 1026, 1021, 901],
-    [756, 757, 901, 1021, 1020, 900],
-    [1020, 1021, 1026],
-    [758, 759, 903, 1023, 1022, 902],
-    [765, 771, 907, 1027, 1023, 903],
-    [764, 770, 907, 1027, 1022, 902],
-    [1022, 1023, 1027],
-    [767, 773, 908, 1028, 1025, 905],
-    [760, 761, 905, 1025, 1024, 904],
-    [766, 772, 908, 1028, 1024, 904],
-    [1024, 1025, 1028],
-    [775, 777, 911, 1031, 1029, 909],
-    [774, 776, 910, 1030, 1029, 909],
-    [778, 779, 911, 1031, 1030, 910],
-    [1029, 1030, 1031],
-    [781, 853, 973, 1092, 1032, 913],
-    [780, 852, 972, 1092, 1032, 912],
-    [912, 913, 1032],
-    [972, 973, 1092],
-    [914, 915, 1033],
-    [784, 854, 974, 1093, 1033, 915],
-    [972, 974, 1093],
-    [782, 852, 972, 1093, 1033, 914],
-    [916, 917, 1034],
-    [783, 853, 973, 1094, 1034, 916],
-    [785, 854, 974, 1094, 1034, 917],
-    [973, 974, 1094],
-    [912, 918, 1035],
-    [975, 978, 1095],
-    [780, 855, 975, 1095, 1035, 912],
-    [789, 858, 978, 1095, 1035, 918],
-    [913, 919, 1036],
-    [781, 856, 976, 1097, 1036, 913],
-    [790, 860, 980, 1097, 1036, 919],
-    [976, 980, 1097],
-    [782, 855, 975, 1096, 1037, 914],
-    [791, 859, 979, 1096, 1037, 920],
-    [914, 920, 1037],
-    [975, 979, 1096],
-    [916, 922, 1039],
-    [783, 856, 976, 1098, 1039, 916],
-    [792, 861, 981, 1098, 1039, 922],
-    [976, 981, 1098],
-    [915, 921, 1038],
-    [784, 857, 977, 1099, 1038, 915],
-    [793, 862, 982, 1099, 1038, 921],
-    [977, 982, 1099],
-    [917, 923, 1040],
-    [785, 857, 977, 1100, 1040, 917],
-    [977, 983, 1100],
-    [794, 863, 983, 1100, 1040, 923],
-    [795, 870, 990, 1104, 1041, 924],
-    [789, 864, 984, 1104, 1041, 918],
-    [918, 924, 1041],
-    [984, 990, 1104],
-    [919, 924, 1042],
-    [795, 871, 991, 1105, 1042, 924],
-    [790, 865, 985, 1105, 1042, 919],
-    [985, 991, 1105],
-    [798, 858, 978, 1101, 1047, 927],
-    [799, 859, 979, 1101, 1047, 928],
-    [927, 928, 1047],
-    [978, 979, 1101],
-    [801, 861, 981, 1102, 1048, 930],
-    [929, 930, 1048],
-    [980, 981, 1102],
-    [800, 860, 980, 1102, 1048, 929],
-    [920, 925, 1043],
-    [796, 872, 992, 1106, 1043, 925],
-    [791, 866, 986, 1106, 1043, 920],
-    [986, 992, 1106],
-    [921, 925, 1044],
-    [793, 868, 988, 1107, 1044, 921],
-    [796, 873, 993, 1107, 1044, 925],
-    [988, 993, 1107],
-    [922, 926, 1045],
-    [792, 867, 987, 1108, 1045, 922],
-    [797, 874, 994, 1108, 1045, 926],
-    [987, 994, 1108],
-    [794, 869, 989, 1109, 1046, 923],
-    [797, 875, 995, 1109, 1046, 926],
-    [923, 926, 1046],
-    [989, 995, 1109],
-    [803, 863, 983, 1103, 1049, 932],
-    [802, 862, 982, 1103, 1049, 931],
-    [931, 932, 1049],
-    [982, 983, 1103],
-    [927, 933, 1050],
-    [810, 876, 996, 1110, 1050, 933],
-    [984, 996, 1110],
-    [798, 864, 984, 1110, 1050, 927],
-    [812, 877, 997, 1111, 1052, 935],
-    [929, 935, 1052],
-    [985, 997, 1111],
-    [800, 865, 985, 1111, 1052, 929],
-    [928, 934, 1051],
-    [811, 878, 998, 1112, 1051, 934],
-    [799, 866, 986, 1112, 1051, 928],
-    [986, 998, 1112],
-    [813, 879, 999, 1113, 1053, 936],
-    [987, 999, 1113],
-    [801, 867, 987, 1113, 1053, 930],
-    [930, 936, 1053],
-    [931, 937, 1054],
-    [814, 880, 1000, 1114, 1054, 937],
-    [802, 868, 988, 1114, 1054, 931],
-    [988, 1000, 1114],
-    [932, 938, 1055],
-    [815, 881, 1001, 1115, 1055, 938],
-    [989, 1001, 1115],
-    [803, 869, 989, 1115, 1055, 932],
-    [939, 945, 1062],
-    [804, 870, 990, 1116, 1062, 939],
-    [816, 876, 996, 1116, 1062, 945],
-    [990, 996, 1116],
-    [939, 946, 1063],
-    [804, 871, 991, 1117, 1063, 939],
-    [817, 877, 997, 1117, 1063, 946],
-    [991, 997, 1117],
-    [992, 998, 1118],
-    [942, 947, 1064],
-    [807, 872, 992, 1118, 1064, 942],
-    [818, 878, 998, 1118, 1064, 947],
-    [807, 873, 993, 1119, 1065, 942],
-    [993, 1000, 1119],
-    [819, 880, 1000, 1119, 1065, 948],
-    [942, 948, 1065],
-    [943, 949, 1066],
-    [808, 874, 994, 1120, 1066, 943],
-    [820, 879, 999, 1120, 1066, 949],
-    [994, 999, 1120],
-    [943, 950, 1067],
-    [808, 875, 995, 1121, 1067, 943],
-    [821, 881, 1001, 1121, 1067, 950],
-    [995, 1001, 1121],
-    [933, 940, 1056],
-    [810, 882, 1002, 1122, 1056, 933],
-    [823, 888, 1008, 1122, 1056, 940],
-    [1002, 1008, 1122],
-    [934, 940, 1057],
-    [823, 889, 1009, 1123, 1057, 940],
-    [811, 884, 1004, 1123, 1057, 934],
-    [1004, 1009, 1123],
-    [824, 890, 1010, 1124, 1058, 941],
-    [1003, 1010, 1124],
-    [812, 883, 1003, 1124, 1058, 935],
-    [935, 941, 1058],
-    [1005, 1011, 1125],
-    [936, 941, 1059],
-    [813, 885, 1005, 1125, 1059, 936],
-    [824, 891, 1011, 1125, 1059, 941],
-    [937, 944, 1060],
-    [827, 892, 1012, 1126, 1060, 944],
-    [814, 886, 1006, 1126, 1060, 937],
-    [1006, 1012, 1126],
-    [938, 944, 1061],
-    [827, 893, 1013, 1127, 1061, 944],
-    [815, 887, 1007, 1127, 1061, 938],
-    [1007, 1013, 1127],
-    [945, 951, 1068],
-    [816, 882, 1002, 1128, 1068, 945],
-    [1002, 1014, 1128],
-    [828, 894, 1014, 1128, 1068, 951],
-    [946, 952, 1069],
-    [817, 883, 1003, 1129, 1069, 946],
-    [829, 895, 1015, 1129, 1069, 952],
-    [1003, 1015, 1129],
-    [818, 884, 1004, 1130, 1070, 947],
-    [1004, 1016, 1130],
-    [830, 896, 1016, 1130, 1070, 953],
-    [947, 953, 1070],
-    [949, 955, 1072],
-    [820, 885, 1005, 1131, 1072, 949],
-    [832, 897, 1017, 1131, 1072, 955],
-    [1005, 1017, 1131],
-    [819, 886, 1006, 1132, 1071, 948],
-    [948, 954, 1071],
-    [1006, 1018, 1132],
-    [831, 898, 1018, 1132, 1071, 954],
-    [950, 956, 1073],
-    [821, 887, 1007, 1133, 1073, 950],
-    [1007, 1019, 1133],
-    [833, 899, 1019, 1133, 1073, 956],
-    [828, 900, 1020, 1140, 1074, 951],
-    [829, 901, 1021, 1140, 1074, 952],
-    [951, 952, 1074],
-    [1020, 1021, 1140],
-    [837, 894, 1014, 1134, 1077, 960],
-    [834, 888, 1008, 1134, 1077, 957],
-    [957, 960, 1077],
-    [1008, 1014, 1134],
-    [957, 961, 1078],
-    [839, 896, 1016, 1135, 1078, 961],
-    [834, 889, 1009, 1135, 1078, 957],
-    [1009, 1016, 1135],
-    [958, 962, 1079],
-    [838, 895, 1015, 1136, 1079, 962],
-    [835, 890, 1010, 1136, 1079, 958],
-    [1010, 1015, 1136],
-    [958, 963, 1080],
-    [835, 891, 1011, 1137, 1080, 958],
-    [840, 897, 1017, 1137, 1080, 963],
-    [1011, 1017, 1137],
-    [830, 902, 1022, 1141, 1075, 953],
-    [953, 954, 1075],
-    [1022, 1023, 1141],
-    [831, 903, 1023, 1141, 1075, 954],
-    [833, 905, 1025, 1142, 1076, 956],
-    [832, 904, 1024, 1142, 1076, 955],
-    [955, 956, 1076],
-    [1024, 1025, 1142],
-    [959, 964, 1081],
-    [836, 892, 1012, 1138, 1081, 959],
-    [841, 898, 1018, 1138, 1081, 964],
-    [1012, 1018, 1138],
-    [836, 893, 1013, 1139, 1082, 959],
-    [842, 899, 1019, 1139, 1082, 965],
-    [959, 965, 1082],
-    [1013, 1019, 1139],
-    [960, 966, 1083],
-    [846, 906, 1026, 1143, 1083, 966],
-    [1020, 1026, 1143],
-    [837, 900, 1020, 1143, 1083, 960],
-    [962, 968, 1085],
-    [838, 901, 1021, 1144, 1085, 962],
-    [847, 906, 1026, 1144, 1085, 968],
-    [1021, 1026, 1144],
-    [961, 967, 1084],
-    [848, 907, 1027, 1145, 1084, 967],
-    [839, 902, 1022, 1145, 1084, 961],
-    [1022, 1027, 1145],
-    [849, 908, 1028, 1147, 1086, 969],
-    [840, 904, 1024, 1147, 1086, 963],
-    [963, 969, 1086],
-    [1024, 1028, 1147],
-    [964, 970, 1087],
-    [850, 907, 1027, 1146, 1087, 970],
-    [841, 903, 1023, 1146, 1087, 964],
-    [1023, 1027, 1146],
-    [965, 971, 1088],
-    [1025, 1028, 1148],
-    [842, 905, 1025, 1148, 1088, 965],
-    [851, 908, 1028, 1148, 1088, 971],
-    [966, 967, 1089],
-    [848, 910, 1030, 1149, 1089, 967],
-    [846, 909, 1029, 1149, 1089, 966],
-    [1029, 1030, 1149],
-    [968, 969, 1090],
-    [847, 909, 1029, 1150, 1090, 968],
-    [1029, 1031, 1150],
-    [849, 911, 1031, 1150, 1090, 969],
-    [850, 910, 1030, 1151, 1091, 970],
-    [851, 911, 1031, 1151, 1091, 971],
-    [970, 971, 1091],
-    [1030, 1031, 1151],
-    [1041, 1042, 1152],
-    [1036, 1042, 1152],
-    [1035, 1041, 1152],
-    [1032, 1036, 1152],
-    [1032, 1035, 1152],
-    [924, 1041, 1042],
-    [919, 1036, 1042],
-    [918, 1035, 1041],
-    [913, 1032, 1036],
-    [912, 1032, 1035],
-    [1043, 1044, 1153],
-    [1038, 1044, 1153],
-    [1037, 1043, 1153],
-    [1033, 1038, 1153],
-    [1033, 1037, 1153],
-    [925, 1043, 1044],
-    [921, 1038, 1044],
-    [920, 1037, 1043],
-    [915, 1033, 1038],
-    [914, 1033, 1037],
-    [1045, 1046, 1154],
-    [1040, 1046, 1154],
-    [1039, 1045, 1154],
-    [1034, 1040, 1154],
-    [1034, 1039, 1154],
-    [926, 1045, 1046],
-    [923, 1040, 1046],
-    [922, 1039, 1045],
-    [917, 1034, 1040],
-    [916, 1034, 1039],
-    [1056, 1057, 1155],
-    [1051, 1057, 1155],
-    [1050, 1056, 1155],
-    [1047, 1051, 1155],
-    [1047, 1050, 1155],
-    [940, 1056, 1057],
-    [934, 1051, 1057],
-    [933, 1050, 1056],
-    [928, 1047, 1051],
-    [927, 1047, 1050],
-    [1058, 1059, 1156],
-    [1053, 1059, 1156],
-    [1052, 1058, 1156],
-    [1048, 1053, 1156],
-    [1048, 1052, 1156],
-    [941, 1058, 1059],
-    [936, 1053, 1059],
-    [935, 1052, 1058],
-    [930, 1048, 1053],
-    [929, 1048, 1052],
-    [1060, 1061, 1157],
-    [1055, 1061, 1157],
-    [1054, 1060, 1157],
-    [1049, 1055, 1157],
-    [1049, 1054, 1157],
-    [944, 1060, 1061],
-    [938, 1055, 1061],
-    [937, 1054, 1060],
-    [932, 1049, 1055],
-    [931, 1049, 1054],
-    [1069, 1074, 1158],
-    [1068, 1074, 1158],
-    [1063, 1069, 1158],
-    [1062, 1068, 1158],
-    [1062, 1063, 1158],
-    [952, 1069, 1074],
-    [951, 1068, 1074],
-    [946, 1063, 1069],
-    [945, 1062, 1068],
-    [939, 1062, 1063],
-    [1071, 1075, 1159],
-    [1070, 1075, 1159],
-    [1065, 1071, 1159],
-    [1064, 1070, 1159],
-    [1064, 1065, 1159],
-    [954, 1071, 1075],
-    [953, 1070, 1075],
-    [948, 1065, 1071],
-    [947, 1064, 1070],
-    [942, 1064, 1065],
-    [1073, 1076, 1160],
-    [1072, 1076, 1160],
-    [1067, 1073, 1160],
-    [1066, 1072, 1160],
-    [1066, 1067, 1160],
-    [956, 1073, 1076],
-    [955, 1072, 1076],
-    [950, 1067, 1073],
-    [949, 1066, 1072],
-    [943, 1066, 1067],
-    [1084, 1089, 1161],
-    [1083, 1089, 1161],
-    [1078, 1084, 1161],
-    [1077, 1083, 1161],
-    [1077, 1078, 1161],
-    [967, 1084, 1089],
-    [966, 1083, 1089],
-    [961, 1078, 1084],
-    [960, 1077, 1083],
-    [957, 1077, 1078],
-    [1086, 1090, 1162],
-    [1085, 1090, 1162],
-    [1080, 1086, 1162],
-    [1079, 1085, 1162],
-    [1079, 1080, 1162],
-    [969, 1086, 1090],
-    [968, 1085, 1090],
-    [963, 1080, 1086],
-    [962, 1079, 1085],
-    [958, 1079, 1080],
-    [1088, 1091, 1163],
-    [1087, 1091, 1163],
-    [1082, 1088, 1163],
-    [1081, 1087, 1163],
-    [1081, 1082, 1163],
-    [971, 1088, 1091],
-    [970, 1087, 1091],
-    [965, 1082, 1088],
-    [964, 1081, 1087],
-    [959, 1081, 1082],
-    [852, 855, 975, 1167, 1164, 972],
-    [975, 1095, 1167],
-    [972, 1092, 1164],
-    [1032, 1035, 1095, 1167, 1164, 1092],
-    [853, 856, 976, 1168, 1165, 973],
-    [973, 1092, 1165],
-    [976, 1097, 1168],
-    [1032, 1036, 1097, 1168, 1165, 1092],
-    [972, 1093, 1164],
-    [975, 1096, 1167],
-    [1033, 1037, 1096, 1167, 1164, 1093],
-    [973, 1094, 1165],
-    [976, 1098, 1168],
-    [1034, 1039, 1098, 1168, 1165, 1094],
-    [854, 857, 977, 1169, 1166, 974],
-    [974, 1093, 1166],
-    [1033, 1038, 1099, 1169, 1166, 1093],
-    [977, 1099, 1169],
-    [974, 1094, 1166],
-    [977, 1100, 1169],
-    [1034, 1040, 1100, 1169, 1166, 1094],
-    [858, 864, 984, 1176, 1170, 978],
-    [978, 1095, 1170],
-    [984, 1104, 1176],
-    [1035, 1041, 1104, 1176, 1170, 1095],
-    [860, 865, 985, 1177, 1172, 980],
-    [1036, 1042, 1105, 1177, 1172, 1097],
-    [980, 1097, 1172],
-    [985, 1105, 1177],
-    [859, 866, 986, 1178, 1171, 979],
-    [979, 1096, 1171],
-    [986, 1106, 1178],
-    [1037, 1043, 1106, 1178, 1171, 1096],
-    [861, 867, 987, 1179, 1173, 981],
-    [1039, 1045, 1108, 1179, 1173, 1098],
-    [981, 1098, 1173],
-    [987, 1108, 1179],
-    [862, 868, 988, 1180, 1174, 982],
-    [982, 1099, 1174],
-    [988, 1107, 1180],
-    [1038, 1044, 1107, 1180, 1174, 1099],
-    [863, 869, 989, 1181, 1175, 983],
-    [983, 1100, 1175],
-    [989, 1109, 1181],
-    [1040, 1046, 1109, 1181, 1175, 1100],
-    [870, 871, 991, 1183, 1182, 990],
-    [990, 1104, 1182],
-    [991, 1105, 1183],
-    [1041, 1042, 1105, 1183, 1182, 1104],
-    [984, 1110, 1176],
-    [978, 1101, 1170],
-    [1047, 1050, 1110, 1176, 1170, 1101],
-    [979, 1101, 1171],
-    [986, 1112, 1178],
-    [1047, 1051, 1112, 1178, 1171, 1101],
-    [980, 1102, 1172],
-    [985, 1111, 1177],
-    [1048, 1052, 1111, 1177, 1172, 1102],
-    [981, 1102, 1173],
-    [987, 1113, 1179],
-    [1048, 1053, 1113, 1179, 1173, 1102],
-    [872, 873, 993, 1185, 1184, 992],
-    [993, 1107, 1185],
-    [1043, 1044, 1107, 1185, 1184, 1106],
-    [992, 1106, 1184],
-    [874, 875, 995, 1187, 1186, 994],
-    [995, 1109, 1187],
-    [994, 1108, 1186],
-    [1045, 1046, 1109, 1187, 1186, 1108],
-    [982, 1103, 1174],
-    [988, 1114, 1180],
-    [1049, 1054, 1114, 1180, 1174, 1103],
-    [989, 1115, 1181],
-    [983, 1103, 1175],
-    [1049, 1055, 1115, 1181, 1175, 1103],
-    [990, 1116, 1182],
-    [991, 1117, 1183],
-    [1062, 1063, 1117, 1183, 1182, 1116],
-    [993, 1119, 1185],
-    [992, 1118, 1184],
-    [1064, 1065, 1119, 1185, 1184, 1118],
-    [995, 1121, 1187],
-    [994, 1120, 1186],
-    [1066, 1067, 1121, 1187, 1186, 1120],
-    [876, 882, 1002, 1194, 1188, 996],
-    [996, 1110, 1188],
-    [1050, 1056, 1122, 1194, 1188, 1110],
-    [1002, 1122, 1194],
-    [877, 883, 1003, 1195, 1189, 997],
-    [997, 1111, 1189],
-    [1003, 1124, 1195],
-    [1052, 1058, 1124, 1195, 1189, 1111],
-    [878, 884, 1004, 1196, 1190, 998],
-    [1004, 1123, 1196],
-    [1051, 1057, 1123, 1196, 1190, 1112],
-    [998, 1112, 1190],
-    [879, 885, 1005, 1197, 1191, 999],
-    [999, 1113, 1191],
-    [1005, 1125, 1197],
-    [1053, 1059, 1125, 1197, 1191, 1113],
-    [880, 886, 1006, 1198, 1192, 1000],
-    [1054, 1060, 1126, 1198, 1192, 1114],
-    [1006, 1126, 1198],
-    [1000, 1114, 1192],
-    [881, 887, 1007, 1199, 1193, 1001],
-    [1001, 1115, 1193],
-    [1007, 1127, 1199],
-    [1055, 1061, 1127, 1199, 1193, 1115],
-    [1002, 1128, 1194],
-    [996, 1116, 1188],
-    [1062, 1068, 1128, 1194, 1188, 1116],
-    [1063, 1069, 1129, 1195, 1189, 1117],
-    [997, 1117, 1189],
-    [1003, 1129, 1195],
-    [1004, 1130, 1196],
-    [998, 1118, 1190],
-    [1064, 1070, 1130, 1196, 1190, 1118],
-    [999, 1120, 1191],
-    [1066, 1072, 1131, 1197, 1191, 1120],
-    [1005, 1131, 1197],
-    [1006, 1132, 1198],
-    [1000, 1119, 1192],
-    [1065, 1071, 1132, 1198, 1192, 1119],
-    [1007, 1133, 1199],
-    [1067, 1073, 1133, 1199, 1193, 1121],
-    [1001, 1121, 1193],
-    [888, 889, 1009, 1201, 1200, 1008],
-    [1008, 1122, 1200],
-    [1009, 1123, 1201],
-    [1056, 1057, 1123, 1201, 1200, 1122],
-    [890, 891, 1011, 1203, 1202, 1010],
-    [1010, 1124, 1202],
-    [1011, 1125, 1203],
-    [1058, 1059, 1125, 1203, 1202, 1124],
-    [892, 893, 1013, 1205, 1204, 1012],
-    [1013, 1127, 1205],
-    [1012, 1126, 1204],
-    [1060, 1061, 1127, 1205, 1204, 1126],
-    [894, 900, 1020, 1212, 1206, 1014],
-    [1014, 1128, 1206],
-    [1020, 1140, 1212],
-    [1068, 1074, 1140, 1212, 1206, 1128],
-    [895, 901, 1021, 1213, 1207, 1015],
-    [1021, 1140, 1213],
-    [1015, 1129, 1207],
-    [1069, 1074, 1140, 1213, 1207, 1129],
-    [1008, 1134, 1200],
-    [1009, 1135, 1201],
-    [1077, 1078, 1135, 1201, 1200, 1134],
-    [1010, 1136, 1202],
-    [1079, 1080, 1137, 1203, 1202, 1136],
-    [1011, 1137, 1203],
-    [896, 902, 1022, 1214, 1208, 1016],
-    [1022, 1141, 1214],
-    [1016, 1130, 1208],
-    [1070, 1075, 1141, 1214, 1208, 1130],
-    [898, 903, 1023, 1215, 1210, 1018],
-    [1018, 1132, 1210],
-    [1023, 1141, 1215],
-    [1071, 1075, 1141, 1215, 1210, 1132],
-    [897, 904, 1024, 1216, 1209, 1017],
-    [1024, 1142, 1216],
-    [1017, 1131, 1209],
-    [1072, 1076, 1142, 1216, 1209, 1131],
-    [899, 905, 1025, 1217, 1211, 1019],
-    [1019, 1133, 1211],
-    [1025, 1142, 1217],
-    [1073, 1076, 1142, 1217, 1211, 1133],
-    [1013, 1139, 1205],
-    [1012, 1138, 1204],
-    [1081, 1082, 1139, 1205, 1204, 1138],
-    [1020, 1143, 1212],
-    [1014, 1134, 1206],
-    [1077, 1083, 1143, 1212, 1206, 1134],
-    [1021, 1144, 1213],
-    [1015, 1136, 1207],
-    [1079, 1085, 1144, 1213, 1207, 1136],
-    [1078, 1084, 1145, 1214, 1208, 1135],
-    [1022, 1145, 1214],
-    [1016, 1135, 1208],
-    [1024, 1147, 1216],
-    [1017, 1137, 1209],
-    [1080, 1086, 1147, 1216, 1209, 1137],
-    [1081, 1087, 1146, 1215, 1210, 1138],
-    [1018, 1138, 1210],
-    [1023, 1146, 1215],
-    [1025, 1148, 1217],
-    [1019, 1139, 1211],
-    [1082, 1088, 1148, 1217, 1211, 1139],
-    [906, 909, 1029, 1221, 1218, 1026],
-    [1029, 1149, 1221],
-    [1026, 1143, 1218],
-    [1083, 1089, 1149, 1221, 1218, 1143],
-    [1029, 1150, 1221],
-    [1085, 1090, 1150, 1221, 1218, 1144],
-    [1026, 1144, 1218],
-    [907, 910, 1030, 1222, 1219, 1027],
-    [1030, 1149, 1222],
-    [1027, 1145, 1219],
-    [1084, 1089, 1149, 1222, 1219, 1145],
-    [908, 911, 1031, 1223, 1220, 1028],
-    [1031, 1150, 1223],
-    [1028, 1147, 1220],
-    [1086, 1090, 1150, 1223, 1220, 1147],
-    [1030, 1151, 1222],
-    [1027, 1146, 1219],
-    [1087, 1091, 1151, 1222, 1219, 1146],
-    [1028, 1148, 1220],
-    [1031, 1151, 1223],
-    [1088, 1091, 1151, 1223, 1220, 1148],
-    [1224, 1225, 1226],
-    [1166, 1225, 1226],
-    [1165, 1224, 1226],
-    [1094, 1166, 1226],
-    [1094, 1165, 1226],
-    [1164, 1224, 1225],
-    [1093, 1166, 1225],
-    [1093, 1164, 1225],
-    [1092, 1165, 1224],
-    [1092, 1164, 1224],
-    [1227, 1228, 1233],
-    [1171, 1228, 1233],
-    [1170, 1227, 1233],
-    [1101, 1171, 1233],
-    [1101, 1170, 1233],
-    [1167, 1227, 1228],
-    [1096, 1171, 1228],
-    [1096, 1167, 1228],
-    [1095, 1170, 1227],
-    [1095, 1167, 1227],
-    [1229, 1230, 1234],
-    [1173, 1230, 1234],
-    [1172, 1229, 1234],
-    [1102, 1173, 1234],
-    [1102, 1172, 1234],
-    [1168, 1229, 1230],
-    [1098, 1173, 1230],
-    [1098, 1168, 1230],
-    [1097, 1172, 1229],
-    [1097, 1168, 1229],
-    [1231, 1232, 1235],
-    [1175, 1232, 1235],
-    [1174, 1231, 1235],
-    [1103, 1175, 1235],
-    [1103, 1174, 1235],
-    [1169, 1231, 1232],
-    [1100, 1175, 1232],
-    [1100, 1169, 1232],
-    [1099, 1174, 1231],
-    [1099, 1169, 1231],
-    [1236, 1242, 1248],
-    [1188, 1242, 1248],
-    [1182, 1236, 1248],
-    [1116, 1188, 1248],
-    [1116, 1182, 1248],
-    [1176, 1236, 1242],
-    [1110, 1188, 1242],
-    [1110, 1176, 1242],
-    [1104, 1182, 1236],
-    [1104, 1176, 1236],
-    [1237, 1243, 1249],
-    [1189, 1243, 1249],
-    [1183, 1237, 1249],
-    [1117, 1189, 1249],
-    [1117, 1183, 1249],
-    [1177, 1237, 1243],
-    [1111, 1189, 1243],
-    [1111, 1177, 1243],
-    [1105, 1183, 1237],
-    [1105, 1177, 1237],
-    [1238, 1244, 1250],
-    [1190, 1244, 1250],
-    [1184, 1238, 1250],
-    [1118, 1190, 1250],
-    [1118, 1184, 1250],
-    [1178, 1238, 1244],
-    [1112, 1190, 1244],
-    [1112, 1178, 1244],
-    [1106, 1184, 1238],
-    [1106, 1178, 1238],
-    [1240, 1245, 1252],
-    [1191, 1245, 1252],
-    [1186, 1240, 1252],
-    [1120, 1191, 1252],
-    [1120, 1186, 1252],
-    [1179, 1240, 1245],
-    [1113, 1191, 1245],
-    [1113, 1179, 1245],
-    [1108, 1186, 1240],
-    [1108, 1179, 1240],
-    [1239, 1246, 1251],
-    [1192, 1246, 1251],
-    [1185, 1239, 1251],
-    [1119, 1192, 1251],
-    [1119, 1185, 1251],
-    [1180, 1239, 1246],
-    [1114, 1192, 1246],
-    [1114, 1180, 1246],
-    [1107, 1185, 1239],
-    [1107, 1180, 1239],
-    [1241, 1247, 1253],
-    [1193, 1247, 1253],
-    [1187, 1241, 1253],
-    [1121, 1193, 1253],
-    [1121, 1187, 1253],
-    [1181, 1241, 1247],
-    [1115, 1193, 1247],
-    [1115, 1181, 1247],
-    [1109, 1187, 1241],
-    [1109, 1181, 1241],
-    [1254, 1260, 1266],
-    [1206, 1260, 1266],
-    [1200, 1254, 1266],
-    [1134, 1206, 1266],
-    [1134, 1200, 1266],
-    [1194, 1254, 1260],
-    [1128, 1206, 1260],
-    [1128, 1194, 1260],
-    [1122, 1200, 1254],
-    [1122, 1194, 1254],
-    [1256, 1261, 1268],
-    [1207, 1261, 1268],
-    [1202, 1256, 1268],
-    [1136, 1207, 1268],
-    [1136, 1202, 1268],
-    [1195, 1256, 1261],
-    [1129, 1207, 1261],
-    [1129, 1195, 1261],
-    [1124, 1202, 1256],
-    [1124, 1195, 1256],
-    [1255, 1262, 1267],
-    [1208, 1262, 1267],
-    [1201, 1255, 1267],
-    [1135, 1208, 1267],
-    [1135, 1201, 1267],
-    [1196, 1255, 1262],
-    [1130, 1208, 1262],
-    [1130, 1196, 1262],
-    [1123, 1201, 1255],
-    [1123, 1196, 1255],
-    [1257, 1263, 1269],
-    [1209, 1263, 1269],
-    [1203, 1257, 1269],
-    [1137, 1209, 1269],
-    [1137, 1203, 1269],
-    [1197, 1257, 1263],
-    [1131, 1209, 1263],
-    [1131, 1197, 1263],
-    [1125, 1203, 1257],
-    [1125, 1197, 1257],
-    [1258, 1264, 1270],
-    [1210, 1264, 1270],
-    [1204, 1258, 1270],
-    [1138, 1210, 1270],
-    [1138, 1204, 1270],
-    [1198, 1258, 1264],
-    [1132, 1210, 1264],
-    [1132, 1198, 1264],
-    [1126, 1204, 1258],
-    [1126, 1198, 1258],
-    [1259, 1265, 1271],
-    [1211, 1265, 1271],
-    [1205, 1259, 1271],
-    [1139, 1211, 1271],
-    [1139, 1205, 1271],
-    [1199, 1259, 1265],
-    [1133, 1211, 1265],
-    [1133, 1199, 1265],
-    [1127, 1205, 1259],
-    [1127, 1199, 1259],
-    [1272, 1275, 1276],
-    [1218, 1275, 1276],
-    [1213, 1272, 1276],
-    [1144, 1218, 1276],
-    [1144, 1213, 1276],
-    [1212, 1272, 1275],
-    [1143, 1218, 1275],
-    [1143, 1212, 1275],
-    [1140, 1213, 1272],
-    [1140, 1212, 1272],
-    [1273, 1277, 1278],
-    [1219, 1277, 1278],
-    [1215, 1273, 1278],
-    [1146, 1219, 1278],
-    [1146, 1215, 1278],
-    [1214, 1273, 1277],
-    [1145, 1219, 1277],
-    [1145, 1214, 1277],
-    [1141, 1215, 1273],
-    [1141, 1214, 1273],
-    [1274, 1279, 1280],
-    [1220, 1279, 1280],
-    [1217, 1274, 1280],
-    [1148, 1220, 1280],
-    [1148, 1217, 1280],
-    [1216, 1274, 1279],
-    [1147, 1220, 1279],
-    [1147, 1216, 1279],
-    [1142, 1217, 1274],
-    [1142, 1216, 1274],
-    [1281, 1282, 1283],
-    [1223, 1282, 1283],
-    [1222, 1281, 1283],
-    [1151, 1223, 1283],
-    [1151, 1222, 1283],
-    [1221, 1281, 1282],
-    [1150, 1223, 1282],
-    [1150, 1221, 1282],
-    [1149, 1222, 1281],
-    [1149, 1221, 1281],
-    [1032, 1092, 1224, 1296, 1284, 1152],
-    [1035, 1095, 1227, 1299, 1284, 1152],
-    [1164, 1167, 1227, 1299, 1296, 1224],
-    [1284, 1296, 1299],
-    [1036, 1097, 1229, 1300, 1284, 1152],
-    [1165, 1168, 1229, 1300, 1296, 1224],
-    [1284, 1296, 1300],
-    [1033, 1093, 1225, 1297, 1285, 1153],
-    [1037, 1096, 1228, 1301, 1285, 1153],
-    [1164, 1167, 1228, 1301, 1297, 1225],
-    [1285, 1297, 1301],
-    [1034, 1094, 1226, 1298, 1286, 1154],
-    [1039, 1098, 1230, 1302, 1286, 1154],
-    [1165, 1168, 1230, 1302, 1298, 1226],
-    [1286, 1298, 1302],
-    [1038, 1099, 1231, 1303, 1285, 1153],
-    [1166, 1169, 1231, 1303, 1297, 1225],
-    [1285, 1297, 1303],
-    [1040, 1100, 1232, 1304, 1286, 1154],
-    [1166, 1169, 1232, 1304, 1298, 1226],
-    [1286, 1298, 1304],
-    [1041, 1104, 1236, 1305, 1284, 1152],
-    [1170, 1176, 1236, 1305, 1299, 1227],
-    [1284, 1299, 1305],
-    [1042, 1105, 1237, 1306, 1284, 1152],
-    [1284, 1300, 1306],
-    [1172, 1177, 1237, 1306, 1300, 1229],
-    [1043, 1106, 1238, 1307, 1285, 1153],
-    [1285, 1301, 1307],
-    [1171, 1178, 1238, 1307, 1301, 1228],
-    [1045, 1108, 1240, 1309, 1286, 1154],
-    [1286, 1302, 1309],
-    [1173, 1179, 1240, 1309, 1302, 1230],
-    [1044, 1107, 1239, 1308, 1285, 1153],
-    [1174, 1180, 1239, 1308, 1303, 1231],
-    [1285, 1303, 1308],
-    [1046, 1109, 1241, 1310, 1286, 1154],
-    [1175, 1181, 1241, 1310, 1304, 1232],
-    [1286, 1304, 1310],
-    [1182, 1183, 1237, 1306, 1305, 1236],
-    [1284, 1305, 1306],
-    [1184, 1185, 1239, 1308, 1307, 1238],
-    [1285, 1307, 1308],
-    [1186, 1187, 1241, 1310, 1309, 1240],
-    [1286, 1309, 1310],
-    [1047, 1101, 1233, 1311, 1287, 1155],
-    [1050, 1110, 1242, 1314, 1287, 1155],
-    [1170, 1176, 1242, 1314, 1311, 1233],
-    [1287, 1311, 1314],
-    [1051, 1112, 1244, 1315, 1287, 1155],
-    [1287, 1311, 1315],
-    [1171, 1178, 1244, 1315, 1311, 1233],
-    [1048, 1102, 1234, 1312, 1288, 1156],
-    [1052, 1111, 1243, 1316, 1288, 1156],
-    [1172, 1177, 1243, 1316, 1312, 1234],
-    [1288, 1312, 1316],
-    [1053, 1113, 1245, 1317, 1288, 1156],
-    [1173, 1179, 1245, 1317, 1312, 1234],
-    [1288, 1312, 1317],
-    [1049, 1103, 1235, 1313, 1289, 1157],
-    [1054, 1114, 1246, 1318, 1289, 1157],
-    [1174, 1180, 1246, 1318, 1313, 1235],
-    [1289, 1313, 1318],
-    [1055, 1115, 1247, 1319, 1289, 1157],
-    [1175, 1181, 1247, 1319, 1313, 1235],
-    [1289, 1313, 1319],
-    [1062, 1116, 1248, 1320, 1290, 1158],
-    [1063, 1117, 1249, 1321, 1290, 1158],
-    [1182, 1183, 1249, 1321, 1320, 1248],
-    [1290, 1320, 1321],
-    [1056, 1122, 1254, 1326, 1287, 1155],
-    [1188, 1194, 1254, 1326, 1314, 1242],
-    [1287, 1314, 1326],
-    [1057, 1123, 1255, 1327, 1287, 1155],
-    [1190, 1196, 1255, 1327, 1315, 1244],
-    [1287, 1315, 1327],
-    [1058, 1124, 1256, 1328, 1288, 1156],
-    [1189, 1195, 1256, 1328, 1316, 1243],
-    [1288, 1316, 1328],
-    [1059, 1125, 1257, 1329, 1288, 1156],
-    [1191, 1197, 1257, 1329, 1317, 1245],
-    [1288, 1317, 1329],
-    [1064, 1118, 1250, 1322, 1291, 1159],
-    [1065, 1119, 1251, 1323, 1291, 1159],
-    [1184, 1185, 1251, 1323, 1322, 1250],
-    [1291, 1322, 1323],
-    [1067, 1121, 1253, 1325, 1292, 1160],
-    [1066, 1120, 1252, 1324, 1292, 1160],
-    [1186, 1187, 1253, 1325, 1324, 1252],
-    [1292, 1324, 1325],
-    [1060, 1126, 1258, 1330, 1289, 1157],
-    [1289, 1318, 1330],
-    [1192, 1198, 1258, 1330, 1318, 1246],
-    [1061, 1127, 1259, 1331, 1289, 1157],
-    [1193, 1199, 1259, 1331, 1319, 1247],
-    [1289, 1319, 1331],
-    [1068, 1128, 1260, 1332, 1290, 1158],
-    [1188, 1194, 1260, 1332, 1320, 1248],
-    [1290, 1320, 1332],
-    [1069, 1129, 1261, 1333, 1290, 1158],
-    [1290, 1321, 1333],
-    [1189, 1195, 1261, 1333, 1321, 1249],
-    [1200, 1201, 1255, 1327, 1326, 1254],
-    [1287, 1326, 1327],
-    [1202, 1203, 1257, 1329, 1328, 1256],
-    [1288, 1328, 1329],
-    [1070, 1130, 1262, 1334, 1291, 1159],
-    [1190, 1196, 1262, 1334, 1322, 1250],
-    [1291, 1322, 1334],
-    [1071, 1132, 1264, 1335, 1291, 1159],
-    [1192, 1198, 1264, 1335, 1323, 1251],
-    [1291, 1323, 1335],
-    [1072, 1131, 1263, 1336, 1292, 1160],
-    [1191, 1197, 1263, 1336, 1324, 1252],
-    [1292, 1324, 1336],
-    [1073, 1133, 1265, 1337, 1292, 1160],
-    [1193, 1199, 1265, 1337, 1325, 1253],
-    [1292, 1325, 1337],
-    [1204, 1205, 1259, 1331, 1330, 1258],
-    [1289, 1330, 1331],
-    [1074, 1140, 1272, 1338, 1290, 1158],
-    [1206, 1212, 1272, 1338, 1332, 1260],
-    [1290, 1332, 1338],
-    [1207, 1213, 1272, 1338, 1333, 1261],
-    [1290, 1333, 1338],
-    [1075, 1141, 1273, 1339, 1291, 1159],
-    [1208, 1214, 1273, 1339, 1334, 1262],
-    [1291, 1334, 1339],
-    [1210, 1215, 1273, 1339, 1335, 1264],
-    [1291, 1335, 1339],
-    [1076, 1142, 1274, 1340, 1292, 1160],
-    [1292, 1336, 1340],
-    [1209, 1216, 1274, 1340, 1336, 1263],
-    [1211, 1217, 1274, 1340, 1337, 1265],
-    [1292, 1337, 1340],
-    [1077, 1134, 1266, 1341, 1293, 1161],
-    [1078, 1135, 1267, 1342, 1293, 1161],
-    [1200, 1201, 1267, 1342, 1341, 1266],
-    [1293, 1341, 1342],
-    [1079, 1136, 1268, 1343, 1294, 1162],
-    [1080, 1137, 1269, 1344, 1294, 1162],
-    [1202, 1203, 1269, 1344, 1343, 1268],
-    [1294, 1343, 1344],
-    [1082, 1139, 1271, 1346, 1295, 1163],
-    [1081, 1138, 1270, 1345, 1295, 1163],
-    [1204, 1205, 1271, 1346, 1345, 1270],
-    [1295, 1345, 1346],
-    [1083, 1143, 1275, 1347, 1293, 1161],
-    [1206, 1212, 1275, 1347, 1341, 1266],
-    [1293, 1341, 1347],
-    [1085, 1144, 1276, 1348, 1294, 1162],
-    [1207, 1213, 1276, 1348, 1343, 1268],
-    [1294, 1343, 1348],
-    [1084, 1145, 1277, 1349, 1293, 1161],
-    [1293, 1342, 1349],
-    [1208, 1214, 1277, 1349, 1342, 1267],
-    [1086, 1147, 1279, 1350, 1294, 1162],
-    [1294, 1344, 1350],
-    [1209, 1216, 1279, 1350, 1344, 1269],
-    [1087, 1146, 1278, 1351, 1295, 1163],
-    [1295, 1345, 1351],
-    [1210, 1215, 1278, 1351, 1345, 1270],
-    [1088, 1148, 1280, 1352, 1295, 1163],
-    [1211, 1217, 1280, 1352, 1346, 1271],
-    [1295, 1346, 1352],
-    [1089, 1149, 1281, 1353, 1293, 1161],
-    [1218, 1221, 1281, 1353, 1347, 1275],
-    [1293, 1347, 1353],
-    [1090, 1150, 1282, 1354, 1294, 1162],
-    [1218, 1221, 1282, 1354, 1348, 1276],
-    [1294, 1348, 1354],
-    [1219, 1222, 1281, 1353, 1349, 1277],
-    [1293, 1349, 1353],
-    [1220, 1223, 1282, 1354, 1350, 1279],
-    [1294, 1350, 1354],
-    [1091, 1151, 1283, 1355, 1295, 1163],
-    [1219, 1222, 1283, 1355, 1351, 1278],
-    [1295, 1351, 1355],
-    [1220, 1223, 1283, 1355, 1352, 1280],
-    [1295, 1352, 1355],
-    [1296, 1299, 1356],
-    [1297, 1301, 1358],
-    [1224, 1225, 1297, 1358, 1356, 1296],
-    [1227, 1228, 1301, 1358, 1356, 1299],
-    [1224, 1226, 1298, 1359, 1357, 1296],
-    [1229, 1230, 1302, 1359, 1357, 1300],
-    [1296, 1300, 1357],
-    [1298, 1302, 1359],
-    [1298, 1304, 1361],
-    [1297, 1303, 1360],
-    [1225, 1226, 1298, 1361, 1360, 1297],
-    [1231, 1232, 1304, 1361, 1360, 1303],
-    [1299, 1305, 1362],
-    [1311, 1314, 1371],
-    [1236, 1242, 1314, 1371, 1362, 1305],
-    [1227, 1233, 1311, 1371, 1362, 1299],
-    [1300, 1306, 1363],
-    [1229, 1234, 1312, 1373, 1363, 1300],
-    [1237, 1243, 1316, 1373, 1363, 1306],
-    [1312, 1316, 1373],
-    [1228, 1233, 1311, 1372, 1364, 1301],
-    [1301, 1307, 1364],
-    [1311, 1315, 1372],
-    [1238, 1244, 1315, 1372, 1364, 1307],
-    [1302, 1309, 1365],
-    [1230, 1234, 1312, 1374, 1365, 1302],
-    [1240, 1245, 1317, 1374, 1365, 1309],
-    [1312, 1317, 1374],
-    [1231, 1235, 1313, 1375, 1366, 1303],
-    [1313, 1318, 1375],
-    [1239, 1246, 1318, 1375, 1366, 1308],
-    [1303, 1308, 1366],
-    [1304, 1310, 1367],
-    [1313, 1319, 1376],
-    [1232, 1235, 1313, 1376, 1367, 1304],
-    [1241, 1247, 1319, 1376, 1367, 1310],
-    [1236, 1248, 1320, 1377, 1368, 1305],
-    [1237, 1249, 1321, 1377, 1368, 1306],
-    [1305, 1306, 1368],
-    [1320, 1321, 1377],
-    [1307, 1308, 1369],
-    [1239, 1251, 1323, 1378, 1369, 1308],
-    [1238, 1250, 1322, 1378, 1369, 1307],
-    [1322, 1323, 1378],
-    [1241, 1253, 1325, 1379, 1370, 1310],
-    [1309, 1310, 1370],
-    [1240, 1252, 1324, 1379, 1370, 1309],
-    [1324, 1325, 1379],
-    [1320, 1332, 1386],
-    [1314, 1326, 1380],
-    [1242, 1248, 1320, 1386, 1380, 1314],
-    [1254, 1260, 1332, 1386, 1380, 1326],
-    [1321, 1333, 1387],
-    [1243, 1249, 1321, 1387, 1382, 1316],
-    [1256, 1261, 1333, 1387, 1382, 1328],
-    [1316, 1328, 1382],
-    [1315, 1327, 1381],
-    [1255, 1262, 1334, 1388, 1381, 1327],
-    [1244, 1250, 1322, 1388, 1381, 1315],
-    [1322, 1334, 1388],
-    [1324, 1336, 1390],
-    [1245, 1252, 1324, 1390, 1383, 1317],
-    [1257, 1263, 1336, 1390, 1383, 1329],
-    [1317, 1329, 1383],
-    [1318, 1330, 1384],
-    [1258, 1264, 1335, 1389, 1384, 1330],
-    [1246, 1251, 1323, 1389, 1384, 1318],
-    [1323, 1335, 1389],
-    [1319, 1331, 1385],
-    [1325, 1337, 1391],
-    [1259, 1265, 1337, 1391, 1385, 1331],
-    [1247, 1253, 1325, 1391, 1385, 1319],
-    [1254, 1266, 1341, 1401, 1392, 1326],
-    [1341, 1342, 1401],
-    [1255, 1267, 1342, 1401, 1392, 1327],
-    [1326, 1327, 1392],
-    [1343, 1344, 1402],
-    [1256, 1268, 1343, 1402, 1393, 1328],
-    [1257, 1269, 1344, 1402, 1393, 1329],
-    [1328, 1329, 1393],
-    [1259, 1271, 1346, 1403, 1394, 1331],
-    [1258, 1270, 1345, 1403, 1394, 1330],
-    [1345, 1346, 1403],
-    [1330, 1331, 1394],
-    [1332, 1338, 1395],
-    [1341, 1347, 1404],
-    [1260, 1266, 1341, 1404, 1395, 1332],
-    [1272, 1275, 1347, 1404, 1395, 1338],
-    [1272, 1276, 1348, 1405, 1396, 1338],
-    [1333, 1338, 1396],
-    [1261, 1268, 1343, 1405, 1396, 1333],
-    [1343, 1348, 1405],
-    [1342, 1349, 1406],
-    [1273, 1277, 1349, 1406, 1397, 1339],
-    [1262, 1267, 1342, 1406, 1397, 1334],
-    [1334, 1339, 1397],
-    [1274, 1279, 1350, 1407, 1399, 1340],
-    [1336, 1340, 1399],
-    [1344, 1350, 1407],
-    [1263, 1269, 1344, 1407, 1399, 1336],
-    [1345, 1351, 1408],
-    [1264, 1270, 1345, 1408, 1398, 1335],
-    [1273, 1278, 1351, 1408, 1398, 1339],
-    [1335, 1339, 1398],
-    [1346, 1352, 1409],
-    [1337, 1340, 1400],
-    [1265, 1271, 1346, 1409, 1400, 1337],
-    [1274, 1280, 1352, 1409, 1400, 1340],
-    [1347, 1353, 1410],
-    [1348, 1354, 1411],
-    [1281, 1282, 1354, 1411, 1410, 1353],
-    [1275, 1276, 1348, 1411, 1410, 1347],
-    [1281, 1283, 1355, 1414, 1412, 1353],
-    [1277, 1278, 1351, 1414, 1412, 1349],
-    [1351, 1355, 1414],
-    [1349, 1353, 1412],
-    [1352, 1355, 1415],
-    [1350, 1354, 1413],
-    [1282, 1283, 1355, 1415, 1413, 1354],
-    [1279, 1280, 1352, 1415, 1413, 1350],
-    [1297, 1358, 1360],
-    [1298, 1359, 1361],
-    [1296, 1356, 1357],
-    [1356, 1357, 1359, 1361, 1360, 1358],
-    [1299, 1356, 1362],
-    [1301, 1358, 1364],
-    [1311, 1371, 1372],
-    [1356, 1358, 1364, 1372, 1371, 1362],
-    [1300, 1357, 1363],
-    [1302, 1359, 1365],
-    [1312, 1373, 1374],
-    [1357, 1359, 1365, 1374, 1373, 1363],
-    [1304, 1361, 1367],
-    [1303, 1360, 1366],
-    [1313, 1375, 1376],
-    [1360, 1361, 1367, 1376, 1375, 1366],
-    [1314, 1371, 1380],
-    [1320, 1377, 1386],
-    [1305, 1362, 1368],
-    [1362, 1368, 1377, 1386, 1380, 1371],
-    [1306, 1363, 1368],
-    [1321, 1377, 1387],
-    [1316, 1373, 1382],
-    [1363, 1368, 1377, 1387, 1382, 1373],
-    [1307, 1364, 1369],
-    [1315, 1372, 1381],
-    [1364, 1369, 1378, 1388, 1381, 1372],
-    [1322, 1378, 1388],
-    [1309, 1365, 1370],
-    [1324, 1379, 1390],
-    [1317, 1374, 1383],
-    [1365, 1370, 1379, 1390, 1383, 1374],
-    [1318, 1375, 1384],
-    [1308, 1366, 1369],
-    [1323, 1378, 1389],
-    [1366, 1369, 1378, 1389, 1384, 1375],
-    [1319, 1376, 1385],
-    [1325, 1379, 1391],
-    [1310, 1367, 1370],
-    [1367, 1370, 1379, 1391, 1385, 1376],
-    [1332, 1386, 1395],
-    [1326, 1380, 1392],
-    [1341, 1401, 1404],
-    [1380, 1386, 1395, 1404, 1401, 1392],
-    [1333, 1387, 1396],
-    [1343, 1402, 1405],
-    [1328, 1382, 1393],
-    [1382, 1387, 1396, 1405, 1402, 1393],
-    [1342, 1401, 1406],
-    [1327, 1381, 1392],
-    [1334, 1388, 1397],
-    [1381, 1388, 1397, 1406, 1401, 1392],
-    [1336, 1390, 1399],
-    [1344, 1402, 1407],
-    [1383, 1390, 1399, 1407, 1402, 1393],
-    [1329, 1383, 1393],
-    [1345, 1403, 1408],
-    [1330, 1384, 1394],
-    [1335, 1389, 1398],
-    [1384, 1389, 1398, 1408, 1403, 1394],
-    [1337, 1391, 1400],
-    [1331, 1385, 1394],
-    [1346, 1403, 1409],
-    [1385, 1391, 1400, 1409, 1403, 1394],
-    [1347, 1404, 1410],
-    [1348, 1405, 1411],
-    [1338, 1395, 1396],
-    [1395, 1396, 1405, 1411, 1410, 1404],
-    [1351, 1408, 1414],
-    [1349, 1406, 1412],
-    [1339, 1397, 1398],
-    [1397, 1398, 1408, 1414, 1412, 1406],
-    [1352, 1409, 1415],
-    [1340, 1399, 1400],
-    [1350, 1407, 1413],
-    [1399, 1400, 1409, 1415, 1413, 1407],
-    [1354, 1411, 1413],
-    [1353, 1410, 1412],
-    [1355, 1414, 1415],
-    [1410, 1411, 1413, 1415, 1414, 1412],
-    [1363, 1368, 1416],
-    [1362, 1368, 1416],
-    [1357, 1363, 1416],
-    [1356, 1362, 1416],
-    [1356, 1357, 1416],
-    [1366, 1369, 1417],
-    [1364, 1369, 1417],
-    [1360, 1366, 1417],
-    [1358, 1364, 1417],
-    [1358, 1360, 1417],
-    [1367, 1370, 1418],
-    [1365, 1370, 1418],
-    [1361, 1367, 1418],
-    [1359, 1365, 1418],
-    [1359, 1361, 1418],
-    [1381, 1392, 1419],
-    [1380, 1392, 1419],
-    [1372, 1381, 1419],
-    [1371, 1380, 1419],
-    [1371, 1372, 1419],
-    [1383, 1393, 1420],
-    [1382, 1393, 1420],
-    [1374, 1383, 1420],
-    [1373, 1382, 1420],
-    [1373, 1374, 1420],
-    [1385, 1394, 1421],
-    [1384, 1394, 1421],
-    [1376, 1385, 1421],
-    [1375, 1384, 1421],
-    [1375, 1376, 1421],
-    [1395, 1396, 1422],
-    [1387, 1396, 1422],
-    [1386, 1395, 1422],
-    [1377, 1387, 1422],
-    [1377, 1386, 1422],
-    [1397, 1398, 1423],
-    [1389, 1398, 1423],
-    [1388, 1397, 1423],
-    [1378, 1389, 1423],
-    [1378, 1388, 1423],
-    [1399, 1400, 1424],
-    [1391, 1400, 1424],
-    [1390, 1399, 1424],
-    [1379, 1391, 1424],
-    [1379, 1390, 1424],
-    [1410, 1412, 1425],
-    [1406, 1412, 1425],
-    [1404, 1410, 1425],
-    [1401, 1406, 1425],
-    [1401, 1404, 1425],
-    [1411, 1413, 1426],
-    [1407, 1413, 1426],
-    [1405, 1411, 1426],
-    [1402, 1407, 1426],
-    [1402, 1405, 1426],
-    [1414, 1415, 1427],
-    [1409, 1415, 1427],
-    [1408, 1414, 1427],
-    [1403, 1409, 1427],
-    [1403, 1408, 1427],
-    [1357, 1359, 1418, 1430, 1428, 1416],
-    [1356, 1358, 1417, 1429, 1428, 1416],
-    [1360, 1361, 1418, 1430, 1429, 1417],
-    [1428, 1429, 1430],
-    [1364, 1372, 1419, 1431, 1429, 1417],
-    [1362, 1371, 1419, 1431, 1428, 1416],
-    [1428, 1429, 1431],
-    [1363, 1373, 1420, 1432, 1428, 1416],
-    [1365, 1374, 1420, 1432, 1430, 1418],
-    [1428, 1430, 1432],
-    [1366, 1375, 1421, 1433, 1429, 1417],
-    [1367, 1376, 1421, 1433, 1430, 1418],
-    [1429, 1430, 1433],
-    [1368, 1377, 1422, 1434, 1428, 1416],
-    [1380, 1386, 1422, 1434, 1431, 1419],
-    [1428, 1431, 1434],
-    [1382, 1387, 1422, 1434, 1432, 1420],
-    [1428, 1432, 1434],
-    [1369, 1378, 1423, 1435, 1429, 1417],
-    [1381, 1388, 1423, 1435, 1431, 1419],
-    [1429, 1431, 1435],
-    [1370, 1379, 1424, 1436, 1430, 1418],
-    [1383, 1390, 1424, 1436, 1432, 1420],
-    [1430, 1432, 1436],
-    [1384, 1389, 1423, 1435, 1433, 1421],
-    [1429, 1433, 1435],
-    [1385, 1391, 1424, 1436, 1433, 1421],
-    [1430, 1433, 1436],
-    [1392, 1401, 1425, 1437, 1431, 1419],
-    [1395, 1404, 1425, 1437, 1434, 1422],
-    [1431, 1434, 1437],
-    [1393, 1402, 1426, 1438, 1432, 1420],
-    [1396, 1405, 1426, 1438, 1434, 1422],
-    [1432, 1434, 1438],
-    [1397, 1406, 1425, 1437, 1435, 1423],
-    [1431, 1435, 1437],
-    [1399, 1407, 1426, 1438, 1436, 1424],
-    [1432, 1436, 1438],
-    [1394, 1403, 1427, 1439, 1433, 1421],
-    [1398, 1408, 1427, 1439, 1435, 1423],
-    [1433, 1435, 1439],
-    [1400, 1409, 1427, 1439, 1436, 1424],
-    [1433, 1436, 1439],
-    [1410, 1411, 1426, 1438, 1437, 1425],
-    [1434, 1437, 1438],
-    [1412, 1414, 1427, 1439, 1437, 1425],
-    [1435, 1437, 1439],
-    [1413, 1415, 1427, 1439, 1438, 1426],
-    [1436, 1438, 1439],
-    [1437, 1438, 1439],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
-    [19, 20, 21, 22, 23, 24, 25, 26],
-    [18, 21, 27, 28, 29, 30, 31, 32],
-    [17, 20, 33, 34, 35, 36, 37, 38],
-    [16, 22, 39, 40, 41, 42, 43, 44],
-    [15, 28, 45, 46, 47, 48, 49, 50],
-    [14, 33, 45, 51, 52, 53, 54, 55],
-    [13, 27, 56, 57, 58, 59, 60, 61],
-    [11, 34, 62, 63, 64, 65, 66, 67],
-    [12, 39, 56, 68, 69, 70, 71, 72],
-    [10, 40, 62, 73, 74, 75, 76, 77],
-    [9, 46, 78, 79, 80, 81, 82, 83],
-    [7, 51, 84, 85, 86, 87, 88, 89],
-    [8, 57, 78, 90, 91, 92, 93, 94],
-    [6, 63, 84, 95, 96, 97, 98, 99],
-    [4, 68, 100, 101, 102, 103, 104, 105],
-    [3, 73, 100, 106, 107, 108, 109, 110],
-    [5, 79, 85, 111, 112, 113, 114, 115],
-    [2, 90, 101, 116, 117, 118, 119, 120],
-    [1, 106, 95, 121, 122, 123, 124, 125],
-    [0, 111, 121, 116, 126, 127, 128, 129],
-    [
-      130, 131, 132, 133, 134, 135, 136, 137, 138, 139, 140, 141, 142, 143, 144,
-      54, 50, 37, 29, 26,
-    ],
-    [
-      145, 146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 156, 157, 158, 159,
-      72, 60, 42, 30, 23,
-    ],
-    [
-      160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171, 172, 173, 174,
-      76, 66, 41, 38, 25,
-    ],
-    [
-      175, 176, 177, 178, 179, 180, 181, 182, 183, 184, 185, 186, 187, 188, 189,
-      94, 81, 61, 47, 31,
-    ],
-    [
-      190, 191, 192, 193, 194, 195, 196, 197, 198, 199, 200, 201, 202, 203, 204,
-      96, 86, 64, 52, 35,
-    ],
-    [
-      205, 206, 207, 208, 209, 210, 211, 212, 213, 214, 215, 216, 217, 218, 219,
-      108, 105, 74, 71, 43,
-    ],
-    [
-      220, 221, 222, 223, 224, 225, 226, 227, 228, 229, 230, 231, 232, 233, 234,
-      114, 88, 80, 55, 48,
-    ],
-    [
-      235, 236, 237, 238, 239, 240, 241, 242, 243, 244, 245, 246, 247, 248, 249,
-      117, 102, 91, 69, 58,
-    ],
-    [
-      250, 251, 252, 253, 254, 255, 256, 257, 258, 259, 260, 261, 262, 263, 264,
-      123, 107, 98, 75, 67,
-    ],
-    [
-      265, 266, 267, 268, 269, 270, 271, 272, 273, 274, 275, 276, 277, 278, 279,
-      128, 120, 112, 93, 82,
-    ],
-    [
-      280, 281, 282, 283, 284, 285, 286, 287, 288, 289, 290, 291, 292, 293, 294,
-      126, 124, 113, 99, 89,
-    ],
-    [
-      295, 296, 297, 298, 299, 300, 301, 302, 303, 304, 305, 306, 307, 308, 309,
-      129, 122, 119, 110, 104,
-    ],
-    [24, 144, 174, 159, 310, 311, 312, 313],
-    [32, 158, 189, 143, 314, 315, 316, 317],
-    [36, 204, 173, 141, 318, 319, 320, 321],
-    [44, 219, 156, 171, 322, 323, 324, 325],
-    [49, 139, 234, 188, 326, 327, 328, 329],
-    [53, 203, 233, 137, 330, 331, 332, 333],
-    [249, 59, 154, 186, 334, 335, 336, 337],
-    [65, 201, 264, 169, 338, 339, 340, 341],
-    [70, 248, 152, 218, 342, 343, 344, 345],
-    [77, 167, 263, 216, 346, 347, 348, 349],
-    [83, 279, 184, 231, 350, 351, 352, 353],
-    [87, 199, 294, 229, 354, 355, 356, 357],
-    [92, 246, 182, 278, 358, 359, 360, 361],
-    [197, 97, 261, 293, 362, 363, 364, 365],
-    [103, 244, 214, 309, 366, 367, 368, 369],
-    [109, 308, 212, 259, 370, 371, 372, 373],
-    [115, 227, 291, 276, 374, 375, 376, 377],
-    [118, 242, 274, 306, 378, 379, 380, 381],
-    [125, 257, 289, 304, 382, 383, 384, 385],
-    [127, 302, 272, 287, 386, 387, 388, 389],
-    [315, 311, 157, 142, 390, 391, 392, 393],
-    [172, 140, 318, 310, 394, 395, 396, 397],
-    [324, 312, 155, 170, 398, 399, 400, 401],
-    [316, 327, 187, 138, 402, 403, 404, 405],
-    [202, 320, 332, 136, 406, 407, 408, 409],
-    [337, 153, 185, 314, 410, 411, 412, 413],
-    [200, 340, 319, 168, 414, 415, 416, 417],
-    [151, 343, 217, 322, 418, 419, 420, 421],
-    [323, 347, 166, 215, 422, 423, 424, 425],
-    [232, 135, 330, 326, 426, 427, 428, 429],
-    [247, 334, 342, 150, 430, 431, 432, 433],
-    [262, 339, 165, 346, 434, 435, 436, 437],
-    [352, 328, 183, 230, 438, 439, 440, 441],
-    [198, 356, 331, 228, 442, 443, 444, 445],
-    [245, 335, 358, 181, 446, 447, 448, 449],
-    [196, 362, 338, 260, 450, 451, 452, 453],
-    [243, 344, 366, 213, 454, 455, 456, 457],
-    [348, 372, 258, 211, 458, 459, 460, 461],
-    [180, 359, 277, 350, 462, 463, 464, 465],
-    [195, 363, 354, 292, 466, 467, 468, 469],
-    [210, 307, 367, 370, 470, 471, 472, 473],
-    [351, 375, 226, 275, 474, 475, 476, 477],
-    [290, 355, 225, 374, 478, 479, 480, 481],
-    [241, 360, 378, 273, 482, 483, 484, 485],
-    [365, 256, 288, 382, 486, 487, 488, 489],
-    [240, 368, 380, 305, 490, 491, 492, 493],
-    [383, 371, 255, 303, 494, 495, 496, 497],
-    [376, 388, 286, 271, 498, 499, 500, 501],
-    [270, 301, 379, 386, 502, 503, 504, 505],
-    [384, 387, 285, 300, 506, 507, 508, 509],
-    [134, 391, 510, 511, 512, 513, 514, 515],
-    [133, 394, 510, 516, 517, 518, 519, 520],
-    [149, 390, 521, 522, 523, 524, 525, 526],
-    [164, 397, 527, 528, 529, 530, 531, 532],
-    [148, 398, 521, 533, 534, 535, 536, 537],
-    [163, 399, 527, 538, 539, 540, 541, 542],
-    [132, 403, 511, 543, 544, 545, 546, 547],
-    [407, 131, 516, 548, 549, 550, 551, 552],
-    [412, 147, 522, 553, 554, 555, 556, 557],
-    [416, 162, 528, 558, 559, 560, 561, 562],
-    [146, 421, 533, 563, 564, 565, 566, 567],
-    [161, 422, 538, 568, 569, 570, 571, 572],
-    [130, 426, 548, 543, 573, 574, 575, 576],
-    [145, 430, 553, 563, 577, 578, 579, 580],
-    [160, 434, 558, 568, 581, 582, 583, 584],
-    [179, 402, 585, 586, 587, 588, 589, 590],
-    [413, 178, 585, 591, 592, 593, 594, 595],
-    [194, 406, 596, 597, 598, 599, 600, 601],
-    [193, 414, 596, 602, 603, 604, 605, 606],
-    [209, 418, 607, 608, 609, 610, 611, 612],
-    [208, 423, 607, 613, 614, 615, 616, 617],
-    [224, 429, 618, 619, 620, 621, 622, 623],
-    [177, 438, 586, 624, 625, 626, 627, 628],
-    [176, 446, 591, 629, 630, 631, 632, 633],
-    [192, 442, 597, 634, 635, 636, 637, 638],
-    [191, 451, 602, 639, 640, 641, 642, 643],
-    [239, 431, 644, 645, 646, 647, 648, 649],
-    [254, 437, 650, 651, 652, 653, 654, 655],
-    [456, 207, 608, 656, 657, 658, 659, 660],
-    [206, 459, 613, 661, 662, 663, 664, 665],
-    [223, 439, 618, 666, 667, 668, 669, 670],
-    [444, 222, 619, 671, 672, 673, 674, 675],
-    [175, 465, 629, 624, 676, 677, 678, 679],
-    [190, 467, 634, 639, 680, 681, 682, 683],
-    [238, 447, 644, 684, 685, 686, 687, 688],
-    [237, 454, 645, 689, 690, 691, 692, 693],
-    [253, 450, 651, 694, 695, 696, 697, 698],
-    [252, 458, 650, 699, 700, 701, 702, 703],
-    [205, 473, 656, 661, 704, 705, 706, 707],
-    [221, 474, 666, 708, 709, 710, 711, 712],
-    [220, 478, 671, 708, 713, 714, 715, 716],
-    [236, 482, 684, 717, 718, 719, 720, 721],
-    [235, 490, 689, 717, 722, 723, 724, 725],
-    [488, 251, 694, 726, 727, 728, 729, 730],
-    [250, 494, 699, 726, 731, 732, 733, 734],
-    [269, 462, 735, 736, 737, 738, 739, 740],
-    [284, 466, 741, 742, 743, 744, 745, 746],
-    [299, 470, 747, 748, 749, 750, 751, 752],
-    [268, 475, 735, 753, 754, 755, 756, 757],
-    [283, 481, 741, 758, 759, 760, 761, 762],
-    [484, 267, 736, 763, 764, 765, 766, 767],
-    [489, 282, 742, 768, 769, 770, 771, 772],
-    [491, 298, 748, 773, 774, 775, 776, 777],
-    [297, 495, 747, 778, 779, 780, 781, 782],
-    [266, 499, 753, 783, 784, 785, 786, 787],
-    [281, 498, 758, 788, 789, 790, 791, 792],
-    [265, 505, 763, 783, 793, 794, 795, 796],
-    [280, 506, 768, 788, 797, 798, 799, 800],
-    [296, 502, 773, 801, 802, 803, 804, 805],
-    [295, 507, 778, 801, 806, 807, 808, 809],
-    [
-      810, 811, 812, 813, 814, 815, 816, 817, 818, 819, 540, 529, 534, 523, 518,
-      512, 401, 396, 393, 313,
-    ],
-    [
-      820, 821, 822, 823, 824, 825, 826, 827, 828, 829, 593, 590, 555, 526, 544,
-      513, 411, 404, 392, 317,
-    ],
-    [
-      830, 831, 832, 833, 834, 835, 836, 837, 838, 839, 603, 598, 560, 530, 549,
-      517, 417, 408, 395, 321,
-    ],
-    [
-      840, 841, 842, 843, 844, 845, 846, 847, 848, 849, 615, 610, 569, 539, 564,
-      535, 424, 420, 400, 325,
-    ],
-    [
-      850, 851, 852, 853, 854, 855, 856, 857, 858, 859, 668, 620, 625, 587, 574,
-      545, 441, 428, 405, 329,
-    ],
-    [
-      860, 861, 862, 863, 864, 865, 866, 867, 868, 869, 673, 621, 635, 599, 573,
-      550, 445, 427, 409, 333,
-    ],
-    [
-      870, 871, 872, 873, 874, 875, 876, 877, 878, 879, 688, 649, 630, 592, 577,
-      554, 448, 432, 410, 336,
-    ],
-    [
-      880, 881, 882, 883, 884, 885, 886, 887, 888, 889, 697, 653, 640, 604, 581,
-      559, 453, 435, 415, 341,
-    ],
-    [
-      890, 891, 892, 893, 894, 895, 896, 897, 898, 899, 691, 646, 657, 609, 579,
-      565, 455, 433, 419, 345,
-    ],
-    [
-      900, 901, 902, 903, 904, 905, 906, 907, 908, 909, 701, 652, 662, 614, 582,
-      570, 460, 436, 425, 349,
-    ],
-    [
-      910, 911, 912, 913, 914, 915, 916, 917, 918, 919, 755, 738, 709, 667, 676,
-      626, 476, 464, 440, 353,
-    ],
-    [
-      920, 921, 922, 923, 924, 925, 926, 927, 928, 929, 760, 745, 713, 672, 680,
-      636, 479, 469, 443, 357,
-    ],
-    [
-      930, 931, 932, 933, 934, 935, 936, 937, 938, 939, 764, 737, 719, 685, 677,
-      632, 483, 463, 449, 361,
-    ],
-    [
-      940, 941, 942, 943, 944, 945, 946, 947, 948, 949, 769, 743, 727, 695, 683,
-      643, 486, 468, 452, 364,
-    ],
-    [
-      950, 951, 952, 953, 954, 955, 956, 957, 958, 959, 774, 749, 722, 690, 705,
-      658, 492, 471, 457, 369,
-    ],
-    [
-      960, 961, 962, 963, 964, 965, 966, 967, 968, 969, 780, 750, 731, 700, 704,
-      663, 497, 472, 461, 373,
-    ],
-    [
-      970, 971, 972, 973, 974, 975, 976, 977, 978, 979, 790, 759, 784, 754, 714,
-      710, 500, 480, 477, 377,
-    ],
-    [
-      980, 981, 982, 983, 984, 985, 986, 987, 988, 989, 802, 775, 794, 765, 723,
-      718, 503, 493, 485, 381,
-    ],
-    [
-      990, 991, 992, 993, 994, 995, 996, 997, 998, 999, 807, 779, 800, 770, 734,
-      728, 508, 496, 487, 385,
-    ],
-    [
-      1000, 1001, 1002, 1003, 1004, 1005, 1006, 1007, 1008, 1009, 806, 803, 797,
-      789, 793, 785, 509, 504, 501, 389,
-    ],
-    [515, 819, 829, 1010, 1011, 1012, 1013, 1014],
-    [519, 839, 817, 1015, 1016, 1017, 1018, 1019],
-    [525, 828, 818, 1010, 1020, 1021, 1022, 1023],
-    [531, 838, 816, 1015, 1024, 1025, 1026, 1027],
-    [849, 537, 814, 1028, 1029, 1030, 1031, 1032],
-    [542, 848, 813, 1028, 1033, 1034, 1035, 1036],
-    [547, 859, 827, 1037, 1038, 1039, 1040, 1041],
-    [837, 869, 552, 1042, 1043, 1044, 1045, 1046],
-    [556, 879, 824, 1047, 1048, 1049, 1050, 1051],
-    [889, 834, 561, 1052, 1053, 1054, 1055, 1056],
-    [566, 899, 847, 1057, 1058, 1059, 1060, 1061],
-    [572, 909, 844, 1062, 1063, 1064, 1065, 1066],
-    [575, 867, 857, 1067, 1068, 1069, 1070, 1071],
-    [589, 826, 858, 1037, 1072, 1073, 1074, 1075],
-    [594, 878, 823, 1047, 1076, 1077, 1078, 1079],
-    [601, 836, 868, 1042, 1080, 1081, 1082, 1083],
-    [606, 888, 833, 1052, 1084, 1085, 1086, 1087],
-    [877, 578, 897, 1088, 1089, 1090, 1091, 1092],
-    [583, 887, 907, 1093, 1094, 1095, 1096, 1097],
-    [611, 898, 846, 1057, 1098, 1099, 1100, 1101],
-    [617, 843, 908, 1062, 1102, 1103, 1104, 1105],
-    [622, 866, 856, 1067, 1106, 1107, 1108, 1109],
-    [647, 876, 896, 1088, 1110, 1111, 1112, 1113],
-    [654, 886, 906, 1093, 1114, 1115, 1116, 1117],
-    [919, 628, 854, 1118, 1119, 1120, 1121, 1122],
-    [638, 929, 864, 1123, 1124, 1125, 1126, 1127],
-    [874, 631, 939, 1128, 1129, 1130, 1131, 1132],
-    [641, 949, 884, 1133, 1134, 1135, 1136, 1137],
-    [894, 959, 659, 1138, 1139, 1140, 1141, 1142],
-    [665, 969, 904, 1143, 1144, 1145, 1146, 1147],
-    [670, 853, 918, 1118, 1148, 1149, 1150, 1151],
-    [928, 863, 674, 1123, 1152, 1153, 1154, 1155],
-    [686, 873, 938, 1128, 1156, 1157, 1158, 1159],
-    [948, 696, 883, 1133, 1160, 1161, 1162, 1163],
-    [693, 893, 958, 1138, 1164, 1165, 1166, 1167],
-    [903, 703, 968, 1143, 1168, 1169, 1170, 1171],
-    [678, 937, 917, 1172, 1173, 1174, 1175, 1176],
-    [681, 947, 927, 1177, 1178, 1179, 1180, 1181],
-    [706, 957, 967, 1182, 1183, 1184, 1185, 1186],
-    [712, 979, 914, 1187, 1188, 1189, 1190, 1191],
-    [715, 924, 977, 1192, 1193, 1194, 1195, 1196],
-    [739, 936, 916, 1172, 1197, 1198, 1199, 1200],
-    [946, 744, 926, 1177, 1201, 1202, 1203, 1204],
-    [721, 934, 989, 1205, 1206, 1207, 1208, 1209],
-    [725, 954, 987, 1210, 1211, 1212, 1213, 1214],
-    [729, 944, 999, 1215, 1216, 1217, 1218, 1219],
-    [733, 997, 964, 1220, 1221, 1222, 1223, 1224],
-    [751, 956, 966, 1182, 1225, 1226, 1227, 1228],
-    [757, 913, 978, 1187, 1229, 1230, 1231, 1232],
-    [761, 923, 976, 1192, 1233, 1234, 1235, 1236],
-    [933, 988, 766, 1205, 1237, 1238, 1239, 1240],
-    [771, 943, 998, 1215, 1241, 1242, 1243, 1244],
-    [953, 986, 776, 1210, 1245, 1246, 1247, 1248],
-    [782, 963, 996, 1220, 1249, 1250, 1251, 1252],
-    [787, 974, 1009, 1253, 1254, 1255, 1256, 1257],
-    [973, 792, 1008, 1253, 1258, 1259, 1260, 1261],
-    [795, 984, 1007, 1262, 1263, 1264, 1265, 1266],
-    [799, 994, 1004, 1267, 1268, 1269, 1270, 1271],
-    [804, 983, 1006, 1262, 1272, 1273, 1274, 1275],
-    [809, 1003, 993, 1267, 1276, 1277, 1278, 1279],
-    [
-      1280, 1281, 1282, 1283, 1284, 1285, 1286, 1068, 1287, 1043, 1288, 1038,
-      1289, 1016, 1011, 576, 551, 546, 520, 514,
-    ],
-    [
-      1290, 1291, 1292, 1293, 1294, 1295, 1296, 1089, 1297, 1060, 1298, 1048,
-      1299, 1029, 1020, 580, 567, 557, 536, 524,
-    ],
-    [
-      1300, 1301, 1302, 1303, 1304, 1305, 1306, 1094, 1307, 1063, 1308, 1053,
-      1309, 1033, 1026, 584, 571, 562, 541, 532,
-    ],
-    [
-      1310, 1311, 1312, 1313, 1314, 1315, 1316, 1175, 1317, 1129, 1318, 1119,
-      1319, 1076, 1072, 679, 633, 627, 595, 588,
-    ],
-    [
-      1320, 1321, 1322, 1323, 1324, 1325, 1326, 1180, 1327, 1136, 1328, 1124,
-      1329, 1084, 1080, 682, 642, 637, 605, 600,
-    ],
-    [
-      1330, 1331, 1332, 1333, 1334, 1335, 1336, 1185, 1337, 1144, 1338, 1139,
-      1339, 1102, 1098, 707, 664, 660, 616, 612,
-    ],
-    [
-      1340, 1341, 1342, 1343, 1344, 1345, 1346, 1193, 1347, 1188, 1348, 1152,
-      1349, 1148, 1108, 716, 711, 675, 669, 623,
-    ],
-    [
-      1350, 1351, 1352, 1353, 1354, 1355, 1356, 1211, 1357, 1206, 1358, 1164,
-      1359, 1158, 1112, 724, 720, 692, 687, 648,
-    ],
-    [
-      1360, 1361, 1362, 1363, 1364, 1365, 1366, 1221, 1367, 1216, 1368, 1168,
-      1369, 1160, 1116, 732, 730, 702, 698, 655,
-    ],
-    [
-      1370, 1371, 1372, 1373, 1374, 1375, 1376, 1265, 1377, 1254, 1378, 1237,
-      1379, 1229, 1197, 796, 786, 767, 756, 740,
-    ],
-    [
-      1380, 1381, 1382, 1383, 1384, 1385, 1386, 1268, 1387, 1258, 1388, 1241,
-      1389, 1235, 1201, 798, 791, 772, 762, 746,
-    ],
-    [
-      1390, 1391, 1392, 1393, 1394, 1395, 1396, 1276, 1397, 1272, 1398, 1249,
-      1399, 1245, 1225, 808, 805, 781, 777, 752,
-    ],
-    [815, 1289, 1012, 1017, 1400, 1401, 1402, 1403],
-    [1022, 812, 1030, 1299, 1404, 1405, 1406, 1407],
-    [811, 1035, 1025, 1309, 1408, 1409, 1410, 1411],
-    [1013, 1040, 825, 1288, 1412, 1413, 1414, 1415],
-    [835, 1044, 1018, 1287, 1416, 1417, 1418, 1419],
-    [822, 1298, 1049, 1021, 1420, 1421, 1422, 1423],
-    [832, 1055, 1024, 1308, 1424, 1425, 1426, 1427],
-    [845, 1031, 1059, 1297, 1428, 1429, 1430, 1431],
-    [1065, 842, 1034, 1307, 1432, 1433, 1434, 1435],
-    [855, 1286, 1039, 1069, 1436, 1437, 1438, 1439],
-    [865, 1045, 1070, 1285, 1440, 1441, 1442, 1443],
-    [821, 1319, 1077, 1073, 1444, 1445, 1446, 1447],
-    [1081, 831, 1329, 1085, 1448, 1449, 1450, 1451],
-    [875, 1050, 1090, 1296, 1452, 1453, 1454, 1455],
-    [895, 1091, 1058, 1295, 1456, 1457, 1458, 1459],
-    [885, 1096, 1054, 1306, 1460, 1461, 1462, 1463],
-    [905, 1305, 1095, 1064, 1464, 1465, 1466, 1467],
-    [841, 1339, 1099, 1103, 1468, 1469, 1470, 1471],
-    [1074, 852, 1120, 1318, 1472, 1473, 1474, 1475],
-    [1082, 862, 1328, 1125, 1476, 1477, 1478, 1479],
-    [872, 1078, 1130, 1317, 1480, 1481, 1482, 1483],
-    [1327, 1086, 882, 1134, 1484, 1485, 1486, 1487],
-    [892, 1100, 1140, 1338, 1488, 1489, 1490, 1491],
-    [1104, 902, 1145, 1337, 1492, 1493, 1494, 1495],
-    [851, 1150, 1107, 1349, 1496, 1497, 1498, 1499],
-    [861, 1154, 1106, 1348, 1500, 1501, 1502, 1503],
-    [1111, 1157, 1359, 871, 1504, 1505, 1506, 1507],
-    [1358, 1166, 891, 1110, 1508, 1509, 1510, 1511],
-    [881, 1162, 1114, 1369, 1512, 1513, 1514, 1515],
-    [901, 1115, 1170, 1368, 1516, 1517, 1518, 1519],
-    [915, 1121, 1174, 1316, 1520, 1521, 1522, 1523],
-    [935, 1131, 1173, 1315, 1524, 1525, 1526, 1527],
-    [1326, 1126, 925, 1178, 1528, 1529, 1530, 1531],
-    [1135, 1179, 1325, 945, 1532, 1533, 1534, 1535],
-    [955, 1141, 1183, 1336, 1536, 1537, 1538, 1539],
-    [965, 1146, 1184, 1335, 1540, 1541, 1542, 1543],
-    [1190, 912, 1149, 1347, 1544, 1545, 1546, 1547],
-    [922, 1195, 1153, 1346, 1548, 1549, 1550, 1551],
-    [1357, 1208, 932, 1156, 1552, 1553, 1554, 1555],
-    [942, 1217, 1161, 1367, 1556, 1557, 1558, 1559],
-    [1212, 952, 1356, 1165, 1560, 1561, 1562, 1563],
-    [1223, 962, 1169, 1366, 1564, 1565, 1566, 1567],
-    [975, 1345, 1194, 1189, 1568, 1569, 1570, 1571],
-    [911, 1379, 1198, 1230, 1572, 1573, 1574, 1575],
-    [931, 1199, 1238, 1378, 1576, 1577, 1578, 1579],
-    [921, 1203, 1233, 1389, 1580, 1581, 1582, 1583],
-    [941, 1242, 1202, 1388, 1584, 1585, 1586, 1587],
-    [1213, 985, 1355, 1207, 1588, 1589, 1590, 1591],
-    [995, 1365, 1218, 1222, 1592, 1593, 1594, 1595],
-    [951, 1246, 1227, 1399, 1596, 1597, 1598, 1599],
-    [961, 1398, 1250, 1226, 1600, 1601, 1602, 1603],
-    [1231, 972, 1255, 1377, 1604, 1605, 1606, 1607],
-    [971, 1234, 1260, 1387, 1608, 1609, 1610, 1611],
-    [982, 1239, 1263, 1376, 1612, 1613, 1614, 1615],
-    [992, 1386, 1243, 1269, 1616, 1617, 1618, 1619],
-    [981, 1247, 1274, 1397, 1620, 1621, 1622, 1623],
-    [1251, 1278, 991, 1396, 1624, 1625, 1626, 1627],
-    [1005, 1256, 1264, 1375, 1628, 1629, 1630, 1631],
-    [1270, 1002, 1259, 1385, 1632, 1633, 1634, 1635],
-    [1001, 1395, 1277, 1273, 1636, 1637, 1638, 1639],
-    [810, 1402, 1408, 1404, 1640, 1641, 1642, 1643],
-    [820, 1421, 1445, 1412, 1644, 1645, 1646, 1647],
-    [830, 1424, 1416, 1448, 1648, 1649, 1650, 1651],
-    [840, 1470, 1428, 1432, 1652, 1653, 1654, 1655],
-    [850, 1438, 1496, 1472, 1656, 1657, 1658, 1659],
-    [860, 1500, 1440, 1476, 1660, 1661, 1662, 1663],
-    [870, 1504, 1452, 1480, 1664, 1665, 1666, 1667],
-    [880, 1514, 1484, 1460, 1668, 1669, 1670, 1671],
-    [890, 1458, 1508, 1488, 1672, 1673, 1674, 1675],
-    [900, 1466, 1516, 1492, 1676, 1677, 1678, 1679],
-    [910, 1574, 1520, 1544, 1680, 1681, 1682, 1683],
-    [920, 1582, 1528, 1548, 1684, 1685, 1686, 1687],
-    [930, 1526, 1552, 1576, 1688, 1689, 1690, 1691],
-    [940, 1532, 1556, 1584, 1692, 1693, 1694, 1695],
-    [950, 1536, 1560, 1596, 1696, 1697, 1698, 1699],
-    [960, 1602, 1540, 1564, 1700, 1701, 1702, 1703],
-    [970, 1570, 1608, 1604, 1704, 1705, 1706, 1707],
-    [980, 1612, 1588, 1620, 1708, 1709, 1710, 1711],
-    [990, 1593, 1617, 1624, 1712, 1713, 1714, 1715],
-    [1000, 1638, 1628, 1632, 1716, 1717, 1718, 1719],
-    [
-      1720, 1721, 1722, 1723, 1724, 1725, 1726, 1727, 1728, 1729, 1730, 1731,
-      1645, 1420, 1414, 1641, 1407, 1400, 1023, 1014,
-    ],
-    [
-      1732, 1733, 1734, 1735, 1736, 1737, 1738, 1739, 1740, 1741, 1742, 1743,
-      1648, 1426, 1418, 1640, 1410, 1401, 1027, 1019,
-    ],
-    [
-      1744, 1745, 1746, 1747, 1748, 1749, 1750, 1751, 1752, 1753, 1754, 1755,
-      1655, 1435, 1429, 1643, 1409, 1406, 1036, 1032,
-    ],
-    [1284, 1403, 1743, 1731, 1756, 1757, 1758, 1759],
-    [1294, 1405, 1729, 1755, 1760, 1761, 1762, 1763],
-    [1304, 1411, 1741, 1753, 1764, 1765, 1766, 1767],
-    [1413, 1283, 1757, 1730, 1768, 1769, 1770, 1771],
-    [1419, 1282, 1742, 1756, 1772, 1773, 1774, 1775],
-    [1293, 1423, 1760, 1728, 1776, 1777, 1778, 1779],
-    [1427, 1303, 1740, 1764, 1780, 1781, 1782, 1783],
-    [1292, 1431, 1761, 1754, 1784, 1785, 1786, 1787],
-    [1302, 1434, 1765, 1752, 1788, 1789, 1790, 1791],
-    [1281, 1439, 1768, 1792, 1793, 1794, 1795, 1796],
-    [1443, 1280, 1772, 1792, 1797, 1798, 1799, 1800],
-    [1455, 1291, 1776, 1801, 1802, 1803, 1804, 1805],
-    [1459, 1290, 1784, 1801, 1806, 1807, 1808, 1809],
-    [1462, 1301, 1781, 1810, 1811, 1812, 1813, 1814],
-    [1300, 1467, 1788, 1810, 1815, 1816, 1817, 1818],
-    [
-      1819, 1820, 1821, 1822, 1823, 1824, 1825, 1826, 1827, 1828, 1793, 1769,
-      1657, 1475, 1436, 1646, 1444, 1415, 1075, 1041,
-    ],
-    [
-      1829, 1830, 1831, 1832, 1833, 1834, 1835, 1836, 1837, 1838, 1797, 1773,
-      1663, 1477, 1441, 1651, 1449, 1417, 1083, 1046,
-    ],
-    [
-      1839, 1840, 1841, 1842, 1843, 1844, 1845, 1846, 1847, 1848, 1802, 1777,
-      1664, 1481, 1453, 1644, 1446, 1422, 1079, 1051,
-    ],
-    [
-      1849, 1850, 1851, 1852, 1853, 1854, 1855, 1856, 1857, 1858, 1811, 1780,
-      1671, 1485, 1461, 1650, 1451, 1425, 1087, 1056,
-    ],
-    [
-      1859, 1860, 1861, 1862, 1863, 1864, 1865, 1866, 1867, 1868, 1806, 1785,
-      1672, 1491, 1456, 1652, 1469, 1430, 1101, 1061,
-    ],
-    [
-      1869, 1870, 1871, 1872, 1873, 1874, 1875, 1876, 1877, 1878, 1815, 1789,
-      1677, 1495, 1464, 1653, 1468, 1433, 1105, 1066,
-    ],
-    [1314, 1447, 1848, 1828, 1879, 1880, 1881, 1882],
-    [1324, 1450, 1858, 1838, 1883, 1884, 1885, 1886],
-    [1334, 1471, 1868, 1878, 1887, 1888, 1889, 1890],
-    [
-      1891, 1892, 1893, 1894, 1895, 1896, 1897, 1898, 1899, 1900, 1798, 1794,
-      1660, 1502, 1656, 1498, 1442, 1437, 1109, 1071,
-    ],
-    [
-      1901, 1902, 1903, 1904, 1905, 1906, 1907, 1908, 1909, 1910, 1807, 1803,
-      1674, 1511, 1666, 1505, 1457, 1454, 1113, 1092,
-    ],
-    [
-      1911, 1912, 1913, 1914, 1915, 1916, 1917, 1918, 1919, 1920, 1816, 1812,
-      1676, 1518, 1668, 1512, 1465, 1463, 1117, 1097,
-    ],
-    [1313, 1473, 1827, 1880, 1921, 1922, 1923, 1924],
-    [1483, 1312, 1847, 1879, 1925, 1926, 1927, 1928],
-    [1323, 1478, 1837, 1883, 1929, 1930, 1931, 1932],
-    [1322, 1486, 1884, 1857, 1933, 1934, 1935, 1936],
-    [1490, 1333, 1867, 1887, 1937, 1938, 1939, 1940],
-    [1332, 1493, 1877, 1888, 1941, 1942, 1943, 1944],
-    [
-      1945, 1946, 1947, 1948, 1949, 1950, 1951, 1952, 1953, 1954, 1955, 1921,
-      1683, 1546, 1521, 1659, 1497, 1474, 1151, 1122,
-    ],
-    [1344, 1499, 1900, 1954, 1956, 1957, 1958, 1959],
-    [1503, 1343, 1899, 1956, 1960, 1961, 1962, 1963],
-    [1311, 1523, 1922, 1955, 1964, 1965, 1966, 1967],
-    [1527, 1310, 1926, 1964, 1968, 1969, 1970, 1971],
-    [
-      1972, 1973, 1974, 1975, 1976, 1977, 1978, 1979, 1980, 1960, 1981, 1929,
-      1687, 1549, 1529, 1662, 1501, 1479, 1155, 1127,
-    ],
-    [
-      1982, 1983, 1984, 1985, 1986, 1987, 1988, 1989, 1990, 1991, 1968, 1925,
-      1690, 1555, 1525, 1667, 1506, 1482, 1159, 1132,
-    ],
-    [1321, 1530, 1930, 1981, 1992, 1993, 1994, 1995],
-    [1535, 1320, 1934, 1992, 1996, 1997, 1998, 1999],
-    [1507, 1354, 1910, 1991, 2000, 2001, 2002, 2003],
-    [1353, 1510, 1909, 2000, 2004, 2005, 2006, 2007],
-    [
-      2008, 2009, 2010, 2011, 2012, 2013, 2014, 2015, 2016, 2017, 1996, 1933,
-      1694, 1558, 1533, 1670, 1513, 1487, 1163, 1137,
-    ],
-    [
-      2018, 2019, 2020, 2021, 2022, 2023, 2024, 2025, 2026, 2004, 2027, 1937,
-      1698, 1563, 1537, 1675, 1509, 1489, 1167, 1142,
-    ],
-    [1515, 1364, 1920, 2017, 2028, 2029, 2030, 2031],
-    [1363, 1519, 1919, 2028, 2032, 2033, 2034, 2035],
-    [1539, 1331, 1938, 2027, 2036, 2037, 2038, 2039],
-    [1330, 1543, 1942, 2036, 2040, 2041, 2042, 2043],
-    [
-      2044, 2045, 2046, 2047, 2048, 2049, 2050, 2051, 2052, 2032, 2040, 1941,
-      1703, 1566, 1541, 1679, 1517, 1494, 1171, 1147,
-    ],
-    [1342, 1545, 1957, 1953, 2053, 2054, 2055, 2056],
-    [1550, 1341, 1961, 1980, 2057, 2058, 2059, 2060],
-    [1352, 1554, 2001, 1990, 2061, 2062, 2063, 2064],
-    [1351, 1562, 2005, 2026, 2065, 2066, 2067, 2068],
-    [1559, 1362, 2029, 2016, 2069, 2070, 2071, 2072],
-    [1361, 1565, 2033, 2052, 2073, 2074, 2075, 2076],
-    [
-      2077, 2078, 2079, 2080, 2081, 2082, 2083, 2084, 2085, 2086, 1969, 1965,
-      1688, 1579, 1680, 1573, 1524, 1522, 1200, 1176,
-    ],
-    [
-      2087, 2088, 2089, 2090, 2091, 2092, 2093, 2094, 2095, 2096, 1997, 1993,
-      1695, 1586, 1686, 1581, 1534, 1531, 1204, 1181,
-    ],
-    [
-      2097, 2098, 2099, 2100, 2101, 2102, 2103, 2104, 2105, 2106, 2041, 2037,
-      1700, 1601, 1696, 1598, 1542, 1538, 1228, 1186,
-    ],
-    [1340, 1571, 2053, 2057, 2107, 2108, 2109, 2110],
-    [1350, 1590, 2062, 2065, 2111, 2112, 2113, 2114],
-    [1360, 1595, 2073, 2069, 2115, 2116, 2117, 2118],
-    [
-      2119, 2120, 2121, 2122, 2123, 2124, 2125, 2126, 2127, 2128, 2107, 2054,
-      1705, 1605, 1568, 1681, 1572, 1547, 1232, 1191,
-    ],
-    [
-      2129, 2130, 2131, 2132, 2133, 2134, 2135, 2136, 2137, 2138, 2108, 2058,
-      1704, 1610, 1569, 1684, 1580, 1551, 1236, 1196,
-    ],
-    [
-      2139, 2140, 2141, 2142, 2143, 2144, 2145, 2146, 2147, 2148, 2112, 2061,
-      1710, 1613, 1591, 1691, 1577, 1553, 1240, 1209,
-    ],
-    [
-      2149, 2150, 2151, 2152, 2153, 2154, 2155, 2156, 2157, 2158, 2116, 2070,
-      1712, 1618, 1594, 1692, 1585, 1557, 1244, 1219,
-    ],
-    [
-      2159, 2160, 2161, 2162, 2163, 2164, 2165, 2166, 2167, 2168, 2111, 2066,
-      1711, 1621, 1589, 1699, 1597, 1561, 1248, 1214,
-    ],
-    [
-      2169, 2170, 2171, 2172, 2173, 2174, 2175, 2176, 2177, 2178, 2115, 2074,
-      1713, 1626, 1592, 1701, 1600, 1567, 1252, 1224,
-    ],
-    [1374, 1575, 2086, 2128, 2179, 2180, 2181, 2182],
-    [1578, 1373, 2085, 2148, 2179, 2183, 2184, 2185],
-    [1583, 1384, 2096, 2138, 2186, 2187, 2188, 2189],
-    [1587, 1383, 2095, 2158, 2186, 2190, 2191, 2192],
-    [1599, 1394, 2106, 2168, 2193, 2194, 2195, 2196],
-    [1393, 1603, 2105, 2178, 2193, 2197, 2198, 2199],
-    [1372, 1606, 2127, 2180, 2200, 2201, 2202, 2203],
-    [1382, 1611, 2137, 2187, 2204, 2205, 2206, 2207],
-    [1615, 1371, 2183, 2147, 2208, 2209, 2210, 2211],
-    [1381, 1619, 2157, 2190, 2212, 2213, 2214, 2215],
-    [1623, 1392, 2167, 2194, 2216, 2217, 2218, 2219],
-    [1391, 1625, 2177, 2197, 2220, 2221, 2222, 2223],
-    [1370, 1631, 2201, 2208, 2224, 2225, 2226, 2227],
-    [1380, 1633, 2205, 2213, 2228, 2229, 2230, 2231],
-    [1390, 1639, 2221, 2216, 2232, 2233, 2234, 2235],
-    [
-      2236, 2237, 2238, 2239, 2240, 2241, 2242, 2243, 2228, 2204, 2224, 2200,
-      1719, 1634, 1629, 1707, 1609, 1607, 1261, 1257,
-    ],
-    [
-      2244, 2245, 2246, 2247, 2248, 2249, 2250, 2251, 2233, 2217, 2225, 2209,
-      1716, 1637, 1630, 1708, 1622, 1614, 1275, 1266,
-    ],
-    [
-      2252, 2253, 2254, 2255, 2256, 2257, 2258, 2259, 2232, 2220, 2229, 2212,
-      1717, 1636, 1635, 1714, 1627, 1616, 1279, 1271,
-    ],
-    [1751, 1642, 1727, 1739, 2260, 2261, 2262, 2263],
-    [1647, 1724, 1826, 1846, 2264, 2265, 2266, 2267],
-    [1836, 1856, 1649, 1736, 2268, 2269, 2270, 2271],
-    [1748, 1654, 1876, 1866, 2272, 2273, 2274, 2275],
-    [1952, 1658, 1823, 1898, 2276, 2277, 2278, 2279],
-    [1833, 1979, 1661, 1895, 2280, 2281, 2282, 2283],
-    [1908, 1989, 1665, 1843, 2284, 2285, 2286, 2287],
-    [1853, 2015, 1669, 1918, 2288, 2289, 2290, 2291],
-    [2025, 1905, 1673, 1863, 2292, 2293, 2294, 2295],
-    [2051, 1678, 1873, 1915, 2296, 2297, 2298, 2299],
-    [1949, 1682, 2126, 2084, 2300, 2301, 2302, 2303],
-    [1976, 2094, 1685, 2136, 2304, 2305, 2306, 2307],
-    [2146, 1986, 1689, 2081, 2308, 2309, 2310, 2311],
-    [2012, 2091, 1693, 2156, 2312, 2313, 2314, 2315],
-    [2166, 2022, 1697, 2104, 2316, 2317, 2318, 2319],
-    [2048, 1702, 2176, 2101, 2320, 2321, 2322, 2323],
-    [2243, 1706, 2123, 2133, 2324, 2325, 2326, 2327],
-    [2163, 2143, 1709, 2251, 2328, 2329, 2330, 2331],
-    [1715, 2173, 2259, 2153, 2332, 2333, 2334, 2335],
-    [2240, 1718, 2256, 2248, 2336, 2337, 2338, 2339],
-    [1758, 2262, 1738, 1726, 2340, 2341, 2342, 2343],
-    [1725, 1750, 1762, 2260, 2344, 2345, 2346, 2347],
-    [1766, 1737, 1749, 2261, 2348, 2349, 2350, 2351],
-    [1723, 1825, 1770, 2264, 2352, 2353, 2354, 2355],
-    [1775, 1735, 1835, 2268, 2356, 2357, 2358, 2359],
-    [1778, 1845, 2265, 1722, 2360, 2361, 2362, 2363],
-    [1783, 1734, 1855, 2270, 2364, 2365, 2366, 2367],
-    [1786, 1865, 1747, 2273, 2368, 2369, 2370, 2371],
-    [1746, 1790, 1875, 2272, 2372, 2373, 2374, 2375],
-    [1795, 2278, 1897, 1822, 2376, 2377, 2378, 2379],
-    [1800, 1894, 1832, 2280, 2380, 2381, 2382, 2383],
-    [1881, 1844, 2266, 1824, 2384, 2385, 2386, 2387],
-    [1854, 1885, 1834, 2269, 2388, 2389, 2390, 2391],
-    [1805, 1907, 1842, 2284, 2392, 2393, 2394, 2395],
-    [1809, 2294, 1904, 1862, 2396, 2397, 2398, 2399],
-    [1917, 1814, 1852, 2288, 2400, 2401, 2402, 2403],
-    [1817, 2298, 1914, 1872, 2404, 2405, 2406, 2407],
-    [1889, 2274, 1864, 1874, 2408, 2409, 2410, 2411],
-    [1821, 1951, 1923, 2276, 2412, 2413, 2414, 2415],
-    [1978, 1931, 1831, 2281, 2416, 2417, 2418, 2419],
-    [1928, 1988, 1841, 2285, 2420, 2421, 2422, 2423],
-    [2014, 1935, 1851, 2289, 2424, 2425, 2426, 2427],
-    [1861, 1940, 2024, 2292, 2428, 2429, 2430, 2431],
-    [1871, 2050, 1943, 2296, 2432, 2433, 2434, 2435],
-    [1958, 1896, 1950, 2277, 2436, 2437, 2438, 2439],
-    [1963, 1893, 1977, 2282, 2440, 2441, 2442, 2443],
-    [2003, 1906, 1987, 2286, 2444, 2445, 2446, 2447],
-    [1903, 2006, 2023, 2293, 2448, 2449, 2450, 2451],
-    [2031, 2290, 2013, 1916, 2452, 2453, 2454, 2455],
-    [2034, 1913, 2049, 2297, 2456, 2457, 2458, 2459],
-    [1966, 2083, 1948, 2301, 2460, 2461, 2462, 2463],
-    [1971, 2310, 1985, 2080, 2464, 2465, 2466, 2467],
-    [2093, 1994, 1975, 2305, 2468, 2469, 2470, 2471],
-    [1999, 2011, 2090, 2314, 2472, 2473, 2474, 2475],
-    [2039, 2103, 2021, 2318, 2476, 2477, 2478, 2479],
-    [2042, 2100, 2047, 2321, 2480, 2481, 2482, 2483],
-    [2125, 1947, 2055, 2300, 2484, 2485, 2486, 2487],
-    [2135, 2060, 1974, 2304, 2488, 2489, 2490, 2491],
-    [1984, 2063, 2145, 2309, 2492, 2493, 2494, 2495],
-    [2072, 2010, 2155, 2312, 2496, 2497, 2498, 2499],
-    [2020, 2067, 2165, 2316, 2500, 2501, 2502, 2503],
-    [2175, 2046, 2075, 2320, 2504, 2505, 2506, 2507],
-    [2109, 2326, 2132, 2122, 2508, 2509, 2510, 2511],
-    [2181, 2302, 2082, 2124, 2512, 2513, 2514, 2515],
-    [2079, 2185, 2144, 2308, 2516, 2517, 2518, 2519],
-    [2189, 2306, 2092, 2134, 2520, 2521, 2522, 2523],
-    [2192, 2089, 2154, 2313, 2524, 2525, 2526, 2527],
-    [2142, 2113, 2162, 2328, 2528, 2529, 2530, 2531],
-    [2117, 2152, 2333, 2172, 2532, 2533, 2534, 2535],
-    [2196, 2102, 2164, 2317, 2536, 2537, 2538, 2539],
-    [2198, 2322, 2099, 2174, 2540, 2541, 2542, 2543],
-    [2242, 2202, 2121, 2324, 2544, 2545, 2546, 2547],
-    [2206, 2131, 2241, 2325, 2548, 2549, 2550, 2551],
-    [2211, 2250, 2141, 2330, 2552, 2553, 2554, 2555],
-    [2214, 2151, 2334, 2258, 2556, 2557, 2558, 2559],
-    [2219, 2249, 2161, 2329, 2560, 2561, 2562, 2563],
-    [2171, 2257, 2223, 2332, 2564, 2565, 2566, 2567],
-    [2226, 2247, 2239, 2337, 2568, 2569, 2570, 2571],
-    [2255, 2238, 2230, 2336, 2572, 2573, 2574, 2575],
-    [2234, 2338, 2246, 2254, 2576, 2577, 2578, 2579],
-    [
-      2580, 2581, 2582, 2583, 2584, 2585, 2586, 2380, 2587, 2378, 2588, 2356,
-      2589, 2352, 2342, 1799, 1796, 1774, 1771, 1759,
-    ],
-    [
-      2590, 2591, 2592, 2593, 2594, 2595, 2596, 2396, 2597, 2392, 2598, 2368,
-      2599, 2362, 2344, 1808, 1804, 1787, 1779, 1763,
-    ],
-    [
-      2600, 2601, 2602, 2603, 2604, 2605, 2606, 2406, 2607, 2400, 2608, 2372,
-      2609, 2364, 2348, 1818, 1813, 1791, 1782, 1767,
-    ],
-    [
-      2610, 2611, 2612, 2613, 2614, 2615, 2616, 2464, 2617, 2460, 2618, 2420,
-      2619, 2412, 2386, 1970, 1967, 1927, 1924, 1882,
-    ],
-    [
-      2620, 2621, 2622, 2623, 2624, 2625, 2626, 2473, 2627, 2471, 2628, 2427,
-      2629, 2417, 2389, 1998, 1995, 1936, 1932, 1886,
-    ],
-    [
-      2630, 2631, 2632, 2633, 2634, 2635, 2636, 2480, 2637, 2476, 2638, 2432,
-      2639, 2428, 2410, 2043, 2038, 1944, 1939, 1890,
-    ],
-    [
-      2640, 2641, 2642, 2643, 2644, 2645, 2646, 2510, 2647, 2488, 2648, 2484,
-      2649, 2440, 2436, 2110, 2059, 2056, 1962, 1959,
-    ],
-    [
-      2650, 2651, 2652, 2653, 2654, 2655, 2656, 2529, 2657, 2501, 2658, 2495,
-      2659, 2451, 2445, 2114, 2068, 2064, 2007, 2002,
-    ],
-    [
-      2660, 2661, 2662, 2663, 2664, 2665, 2666, 2534, 2667, 2504, 2668, 2496,
-      2669, 2456, 2452, 2118, 2076, 2071, 2035, 2030,
-    ],
-    [
-      2670, 2671, 2672, 2673, 2674, 2675, 2676, 2568, 2677, 2552, 2678, 2544,
-      2679, 2516, 2514, 2227, 2210, 2203, 2184, 2182,
-    ],
-    [
-      2680, 2681, 2682, 2683, 2684, 2685, 2686, 2572, 2687, 2558, 2688, 2548,
-      2689, 2524, 2520, 2231, 2215, 2207, 2191, 2188,
-    ],
-    [
-      2690, 2691, 2692, 2693, 2694, 2695, 2696, 2578, 2697, 2564, 2698, 2560,
-      2699, 2542, 2536, 2235, 2222, 2218, 2199, 2195,
-    ],
-    [1721, 2354, 2341, 2589, 2700, 2701, 2702, 2703],
-    [1733, 2357, 2340, 2588, 2704, 2705, 2706, 2707],
-    [1720, 2347, 2360, 2599, 2700, 2708, 2709, 2710],
-    [1732, 2609, 2349, 2365, 2704, 2711, 2712, 2713],
-    [1745, 2369, 2345, 2598, 2714, 2715, 2716, 2717],
-    [1744, 2350, 2373, 2608, 2714, 2718, 2719, 2720],
-    [1820, 2355, 2377, 2587, 2721, 2722, 2723, 2724],
-    [1830, 2358, 2382, 2586, 2725, 2726, 2727, 2728],
-    [1840, 2361, 2394, 2597, 2729, 2730, 2731, 2732],
-    [1850, 2366, 2401, 2607, 2733, 2734, 2735, 2736],
-    [1860, 2596, 2370, 2397, 2737, 2738, 2739, 2740],
-    [1870, 2375, 2404, 2606, 2741, 2742, 2743, 2744],
-    [1892, 2381, 2376, 2585, 2745, 2746, 2747, 2748],
-    [1819, 2415, 2384, 2619, 2721, 2749, 2750, 2751],
-    [1839, 2385, 2422, 2618, 2729, 2752, 2753, 2754],
-    [1829, 2391, 2419, 2629, 2725, 2755, 2756, 2757],
-    [1849, 2426, 2388, 2628, 2733, 2758, 2759, 2760],
-    [1902, 2398, 2393, 2595, 2761, 2762, 2763, 2764],
-    [1912, 2402, 2405, 2605, 2765, 2766, 2767, 2768],
-    [1859, 2430, 2409, 2639, 2737, 2769, 2770, 2771],
-    [1869, 2435, 2408, 2638, 2741, 2772, 2773, 2774],
-    [1891, 2649, 2437, 2441, 2745, 2775, 2776, 2777],
-    [1901, 2659, 2446, 2448, 2761, 2778, 2779, 2780],
-    [1911, 2669, 2457, 2453, 2765, 2781, 2782, 2783],
-    [1946, 2461, 2413, 2617, 2784, 2785, 2786, 2787],
-    [1973, 2470, 2416, 2627, 2788, 2789, 2790, 2791],
-    [1983, 2466, 2421, 2616, 2792, 2793, 2794, 2795],
-    [2009, 2626, 2474, 2424, 2796, 2797, 2798, 2799],
-    [2019, 2478, 2429, 2637, 2800, 2801, 2802, 2803],
-    [2045, 2482, 2433, 2636, 2804, 2805, 2806, 2807],
-    [1945, 2438, 2485, 2648, 2784, 2808, 2809, 2810],
-    [1972, 2442, 2489, 2647, 2788, 2811, 2812, 2813],
-    [1982, 2658, 2447, 2492, 2792, 2814, 2815, 2816],
-    [2008, 2454, 2497, 2668, 2796, 2817, 2818, 2819],
-    [2018, 2450, 2500, 2657, 2800, 2820, 2821, 2822],
-    [2044, 2458, 2505, 2667, 2804, 2823, 2824, 2825],
-    [2078, 2615, 2462, 2465, 2826, 2827, 2828, 2829],
-    [2088, 2625, 2475, 2468, 2830, 2831, 2832, 2833],
-    [2098, 2635, 2481, 2477, 2834, 2835, 2836, 2837],
-    [2120, 2487, 2508, 2646, 2838, 2839, 2840, 2841],
-    [2130, 2490, 2509, 2645, 2842, 2843, 2844, 2845],
-    [2077, 2518, 2513, 2679, 2826, 2846, 2847, 2848],
-    [2087, 2522, 2525, 2689, 2830, 2849, 2850, 2851],
-    [2140, 2494, 2528, 2656, 2852, 2853, 2854, 2855],
-    [2160, 2503, 2531, 2655, 2856, 2857, 2858, 2859],
-    [2150, 2498, 2533, 2666, 2860, 2861, 2862, 2863],
-    [2170, 2507, 2532, 2665, 2864, 2865, 2866, 2867],
-    [2097, 2537, 2540, 2699, 2834, 2868, 2869, 2870],
-    [2119, 2547, 2512, 2678, 2838, 2871, 2872, 2873],
-    [2129, 2688, 2549, 2521, 2842, 2874, 2875, 2876],
-    [2139, 2554, 2517, 2677, 2852, 2877, 2878, 2879],
-    [2149, 2526, 2557, 2687, 2860, 2880, 2881, 2882],
-    [2159, 2538, 2562, 2698, 2856, 2883, 2884, 2885],
-    [2169, 2566, 2541, 2697, 2864, 2886, 2887, 2888],
-    [2237, 2570, 2545, 2676, 2889, 2890, 2891, 2892],
-    [2236, 2550, 2573, 2686, 2889, 2893, 2894, 2895],
-    [2245, 2675, 2569, 2553, 2896, 2897, 2898, 2899],
-    [2253, 2575, 2556, 2685, 2900, 2901, 2902, 2903],
-    [2244, 2561, 2576, 2696, 2896, 2904, 2905, 2906],
-    [2252, 2567, 2577, 2695, 2900, 2907, 2908, 2909],
-    [
-      2910, 2911, 2912, 2913, 2914, 2915, 2916, 2917, 2918, 2919, 2718, 2715,
-      2711, 2705, 2708, 2702, 2351, 2346, 2343, 2263,
-    ],
-    [
-      2920, 2921, 2922, 2923, 2924, 2925, 2926, 2927, 2928, 2929, 2752, 2730,
-      2750, 2722, 2709, 2701, 2387, 2363, 2353, 2267,
-    ],
-    [
-      2930, 2931, 2932, 2933, 2934, 2935, 2936, 2937, 2938, 2939, 2758, 2735,
-      2755, 2727, 2712, 2706, 2390, 2367, 2359, 2271,
-    ],
-    [
-      2940, 2941, 2942, 2943, 2944, 2945, 2946, 2947, 2948, 2949, 2773, 2742,
-      2769, 2738, 2719, 2717, 2411, 2374, 2371, 2275,
-    ],
-    [
-      2950, 2951, 2952, 2953, 2954, 2955, 2956, 2957, 2958, 2959, 2809, 2785,
-      2775, 2746, 2749, 2723, 2439, 2414, 2379, 2279,
-    ],
-    [
-      2960, 2961, 2962, 2963, 2964, 2965, 2966, 2967, 2968, 2969, 2812, 2789,
-      2776, 2747, 2756, 2728, 2443, 2418, 2383, 2283,
-    ],
-    [
-      2970, 2971, 2972, 2973, 2974, 2975, 2976, 2977, 2978, 2979, 2815, 2795,
-      2779, 2764, 2753, 2731, 2444, 2423, 2395, 2287,
-    ],
-    [
-      2980, 2981, 2982, 2983, 2984, 2985, 2986, 2987, 2988, 2989, 2817, 2797,
-      2782, 2767, 2759, 2736, 2455, 2425, 2403, 2291,
-    ],
-    [
-      2990, 2991, 2992, 2993, 2994, 2995, 2996, 2997, 2998, 2999, 2821, 2803,
-      2778, 2762, 2770, 2739, 2449, 2431, 2399, 2295,
-    ],
-    [
-      3000, 3001, 3002, 3003, 3004, 3005, 3006, 3007, 3008, 3009, 2825, 2805,
-      2781, 2766, 2772, 2743, 2459, 2434, 2407, 2299,
-    ],
-    [
-      3010, 3011, 3012, 3013, 3014, 3015, 3016, 3017, 3018, 3019, 2872, 2839,
-      2846, 2827, 2808, 2787, 2515, 2486, 2463, 2303,
-    ],
-    [
-      3020, 3021, 3022, 3023, 3024, 3025, 3026, 3027, 3028, 3029, 2875, 2844,
-      2849, 2831, 2813, 2790, 2523, 2491, 2469, 2307,
-    ],
-    [
-      3030, 3031, 3032, 3033, 3034, 3035, 3036, 3037, 3038, 3039, 2879, 2854,
-      2847, 2828, 2814, 2793, 2519, 2493, 2467, 2311,
-    ],
-    [
-      3040, 3041, 3042, 3043, 3044, 3045, 3046, 3047, 3048, 3049, 2881, 2862,
-      2851, 2832, 2819, 2798, 2527, 2499, 2472, 2315,
-    ],
-    [
-      3050, 3051, 3052, 3053, 3054, 3055, 3056, 3057, 3058, 3059, 2884, 2857,
-      2869, 2836, 2820, 2802, 2539, 2502, 2479, 2319,
-    ],
-    [
-      3060, 3061, 3062, 3063, 3064, 3065, 3066, 3067, 3068, 3069, 2887, 2865,
-      2868, 2835, 2823, 2806, 2543, 2506, 2483, 2323,
-    ],
-    [
-      3070, 3071, 3072, 3073, 3074, 3075, 3076, 3077, 3078, 3079, 2895, 2891,
-      2874, 2843, 2871, 2840, 2551, 2546, 2511, 2327,
-    ],
-    [
-      3080, 3081, 3082, 3083, 3084, 3085, 3086, 3087, 3088, 3089, 2905, 2898,
-      2885, 2858, 2878, 2853, 2563, 2555, 2530, 2331,
-    ],
-    [
-      3090, 3091, 3092, 3093, 3094, 3095, 3096, 3097, 3098, 3099, 2907, 2902,
-      2886, 2866, 2880, 2861, 2565, 2559, 2535, 2335,
-    ],
-    [
-      3100, 3101, 3102, 3103, 3104, 3105, 3106, 3107, 3108, 3109, 2908, 2901,
-      2904, 2897, 2893, 2890, 2579, 2574, 2571, 2339,
-    ],
-    [2703, 2584, 2929, 2919, 3110, 3111, 3112, 3113],
-    [2583, 2707, 2918, 2939, 3110, 3114, 3115, 3116],
-    [2927, 2710, 2594, 2917, 3117, 3118, 3119, 3120],
-    [2604, 2713, 2937, 2914, 3121, 3122, 3123, 3124],
-    [2716, 2593, 2949, 2916, 3117, 3125, 3126, 3127],
-    [2720, 2603, 2913, 2947, 3121, 3128, 3129, 3130],
-    [2724, 2582, 2959, 2928, 3111, 3131, 3132, 3133],
-    [2581, 2726, 2938, 2969, 3114, 3134, 3135, 3136],
-    [2592, 2732, 2926, 2979, 3118, 3137, 3138, 3139],
-    [2602, 2734, 2936, 2989, 3122, 3140, 3141, 3142],
-    [2591, 2740, 2999, 2948, 3125, 3143, 3144, 3145],
-    [2744, 2601, 3009, 2946, 3128, 3146, 3147, 3148],
-    [2580, 2748, 2958, 2968, 3134, 3131, 3149, 3150],
-    [2590, 2998, 2763, 2978, 3137, 3143, 3151, 3152],
-    [2600, 2768, 3008, 2988, 3140, 3146, 3153, 3154],
-    [2924, 2751, 2614, 2957, 3155, 3156, 3157, 3158],
-    [2613, 2754, 2923, 2977, 3155, 3159, 3160, 3161],
-    [2757, 2624, 2934, 2967, 3162, 3163, 3164, 3165],
-    [2760, 2623, 2987, 2933, 3162, 3166, 3167, 3168],
-    [2634, 2771, 2944, 2997, 3169, 3170, 3171, 3172],
-    [2774, 2633, 2943, 3007, 3169, 3173, 3174, 3175],
-    [2644, 2777, 2964, 2954, 3176, 3177, 3178, 3179],
-    [2786, 2612, 3019, 2956, 3156, 3180, 3181, 3182],
-    [2611, 3039, 2794, 2976, 3159, 3183, 3184, 3185],
-    [2791, 2622, 3029, 2966, 3163, 3186, 3187, 3188],
-    [3049, 2621, 2799, 2986, 3166, 3189, 3190, 3191],
-    [2974, 2654, 2780, 2994, 3192, 3193, 3194, 3195],
-    [2664, 2783, 2984, 3004, 3196, 3197, 3198, 3199],
-    [2632, 2801, 3059, 2996, 3170, 3200, 3201, 3202],
-    [2807, 2631, 3069, 3006, 3173, 3203, 3204, 3205],
-    [2810, 2643, 2953, 3017, 3176, 3206, 3207, 3208],
-    [2642, 2811, 2963, 3027, 3177, 3209, 3210, 3211],
-    [2610, 2829, 3038, 3018, 3183, 3180, 3212, 3213],
-    [3048, 2620, 2833, 3028, 3186, 3189, 3214, 3215],
-    [2973, 2653, 2816, 3037, 3192, 3216, 3217, 3218],
-    [2822, 2652, 2993, 3057, 3193, 3219, 3220, 3221],
-    [2663, 2983, 2818, 3047, 3197, 3222, 3223, 3224],
-    [2824, 2662, 3003, 3067, 3196, 3225, 3226, 3227],
-    [2630, 2837, 3058, 3068, 3200, 3203, 3228, 3229],
-    [2841, 2641, 3079, 3016, 3206, 3230, 3231, 3232],
-    [2640, 2845, 3078, 3026, 3209, 3230, 3233, 3234],
-    [2855, 2651, 3036, 3089, 3216, 3235, 3236, 3237],
-    [2859, 2650, 3056, 3088, 3219, 3235, 3238, 3239],
-    [2661, 2863, 3099, 3046, 3222, 3240, 3241, 3242],
-    [3098, 2867, 2660, 3066, 3225, 3240, 3243, 3244],
-    [2674, 2848, 3014, 3034, 3245, 3246, 3247, 3248],
-    [2684, 3024, 2850, 3044, 3249, 3250, 3251, 3252],
-    [2694, 2870, 3064, 3054, 3253, 3254, 3255, 3256],
-    [2873, 2673, 3013, 3077, 3245, 3257, 3258, 3259],
-    [2683, 2876, 3023, 3074, 3249, 3260, 3261, 3262],
-    [2672, 2877, 3087, 3033, 3246, 3263, 3264, 3265],
-    [2682, 2882, 3097, 3043, 3250, 3266, 3267, 3268],
-    [2883, 2693, 3053, 3084, 3254, 3269, 3270, 3271],
-    [2888, 2692, 3063, 3094, 3253, 3272, 3273, 3274],
-    [2892, 2671, 3109, 3076, 3257, 3275, 3276, 3277],
-    [2894, 2681, 3073, 3107, 3260, 3278, 3279, 3280],
-    [2670, 2899, 3086, 3108, 3263, 3275, 3281, 3282],
-    [3096, 2903, 2680, 3106, 3266, 3278, 3283, 3284],
-    [2691, 2906, 3104, 3083, 3269, 3285, 3286, 3287],
-    [2909, 2690, 3093, 3103, 3272, 3285, 3288, 3289],
-    [2915, 2925, 3112, 3119, 3290, 3291, 3292, 3293],
-    [3123, 2912, 2935, 3115, 3294, 3295, 3296, 3297],
-    [2911, 2945, 3129, 3126, 3298, 3299, 3300, 3301],
-    [2955, 2922, 3132, 3157, 3302, 3303, 3304, 3305],
-    [2932, 2965, 3136, 3164, 3306, 3307, 3308, 3309],
-    [3139, 3161, 2921, 2975, 3310, 3311, 3312, 3313],
-    [2931, 3142, 2985, 3167, 3314, 3315, 3316, 3317],
-    [3144, 2942, 2995, 3171, 3318, 3319, 3320, 3321],
-    [2941, 3005, 3147, 3174, 3322, 3323, 3324, 3325],
-    [3178, 2952, 2962, 3149, 3326, 3327, 3328, 3329],
-    [2992, 2972, 3194, 3151, 3330, 3331, 3332, 3333],
-    [3198, 3002, 2982, 3153, 3334, 3335, 3336, 3337],
-    [2951, 3015, 3207, 3181, 3338, 3339, 3340, 3341],
-    [2961, 3211, 3025, 3187, 3342, 3343, 3344, 3345],
-    [3035, 2971, 3217, 3184, 3346, 3347, 3348, 3349],
-    [2981, 3045, 3190, 3223, 3350, 3351, 3352, 3353],
-    [3055, 3202, 2991, 3220, 3354, 3355, 3356, 3357],
-    [3065, 3001, 3204, 3226, 3358, 3359, 3360, 3361],
-    [3212, 3012, 3032, 3247, 3362, 3363, 3364, 3365],
-    [3022, 3042, 3214, 3251, 3366, 3367, 3368, 3369],
-    [3228, 3062, 3052, 3255, 3370, 3371, 3372, 3373],
-    [3011, 3075, 3231, 3258, 3374, 3375, 3376, 3377],
-    [3261, 3072, 3021, 3233, 3378, 3379, 3380, 3381],
-    [3085, 3265, 3031, 3236, 3382, 3383, 3384, 3385],
-    [3242, 3268, 3095, 3041, 3386, 3387, 3388, 3389],
-    [3051, 3082, 3271, 3238, 3390, 3391, 3392, 3393],
-    [3061, 3092, 3273, 3243, 3394, 3395, 3396, 3397],
-    [3105, 3071, 3276, 3279, 3398, 3399, 3400, 3401],
-    [3281, 3102, 3081, 3286, 3402, 3403, 3404, 3405],
-    [3101, 3091, 3288, 3283, 3406, 3407, 3408, 3409],
-    [2910, 3300, 3292, 3294, 3410, 3411, 3412, 3413],
-    [2920, 3293, 3305, 3310, 3414, 3415, 3416, 3417],
-    [2930, 3307, 3295, 3315, 3418, 3419, 3420, 3421],
-    [2940, 3301, 3324, 3318, 3422, 3423, 3424, 3425],
-    [2950, 3340, 3304, 3326, 3426, 3427, 3428, 3429],
-    [2960, 3308, 3327, 3343, 3430, 3431, 3432, 3433],
-    [3313, 2970, 3332, 3348, 3434, 3435, 3436, 3437],
-    [2980, 3316, 3336, 3351, 3438, 3439, 3440, 3441],
-    [2990, 3356, 3320, 3331, 3442, 3443, 3444, 3445],
-    [3000, 3361, 3325, 3334, 3446, 3447, 3448, 3449],
-    [3010, 3341, 3376, 3362, 3450, 3451, 3452, 3453],
-    [3020, 3344, 3380, 3367, 3454, 3455, 3456, 3457],
-    [3030, 3384, 3364, 3347, 3458, 3459, 3460, 3461],
-    [3389, 3040, 3352, 3368, 3462, 3463, 3464, 3465],
-    [3050, 3391, 3355, 3371, 3466, 3467, 3468, 3469],
-    [3060, 3360, 3396, 3370, 3470, 3471, 3472, 3473],
-    [3070, 3401, 3377, 3378, 3474, 3475, 3476, 3477],
-    [3080, 3392, 3383, 3403, 3478, 3479, 3480, 3481],
-    [3090, 3397, 3409, 3386, 3482, 3483, 3484, 3485],
-    [3100, 3400, 3408, 3402, 3486, 3487, 3488, 3489],
-    [
-      3490, 3491, 3492, 3493, 3494, 3430, 3428, 3328, 3418, 3306, 3414, 3302,
-      3412, 3296, 3290, 3150, 3135, 3133, 3116, 3113,
-    ],
-    [
-      3495, 3496, 3497, 3498, 3499, 3443, 3434, 3330, 3423, 3321, 3415, 3311,
-      3410, 3299, 3291, 3152, 3145, 3138, 3127, 3120,
-    ],
-    [
-      3500, 3501, 3502, 3503, 3504, 3448, 3438, 3335, 3422, 3322, 3419, 3314,
-      3411, 3298, 3297, 3154, 3148, 3141, 3130, 3124,
-    ],
-    [
-      3505, 3506, 3507, 3508, 3509, 3459, 3451, 3365, 3435, 3346, 3426, 3339,
-      3416, 3312, 3303, 3213, 3185, 3182, 3160, 3158,
-    ],
-    [
-      3510, 3511, 3512, 3513, 3514, 3465, 3456, 3369, 3440, 3353, 3432, 3345,
-      3420, 3317, 3309, 3215, 3191, 3188, 3168, 3165,
-    ],
-    [
-      3515, 3516, 3517, 3518, 3519, 3471, 3467, 3373, 3446, 3358, 3442, 3354,
-      3424, 3323, 3319, 3229, 3205, 3201, 3175, 3172,
-    ],
-    [
-      3520, 3521, 3522, 3523, 3524, 3476, 3454, 3379, 3450, 3374, 3431, 3342,
-      3427, 3338, 3329, 3234, 3232, 3210, 3208, 3179,
-    ],
-    [
-      3525, 3526, 3527, 3528, 3529, 3480, 3468, 3393, 3460, 3385, 3444, 3357,
-      3437, 3349, 3333, 3239, 3237, 3221, 3218, 3195,
-    ],
-    [
-      3530, 3531, 3532, 3533, 3534, 3483, 3470, 3395, 3462, 3387, 3447, 3359,
-      3439, 3350, 3337, 3244, 3241, 3227, 3224, 3199,
-    ],
-    [
-      3535, 3536, 3537, 3538, 3539, 3487, 3479, 3405, 3474, 3398, 3458, 3382,
-      3452, 3375, 3363, 3282, 3277, 3264, 3259, 3248,
-    ],
-    [
-      3540, 3541, 3542, 3543, 3544, 3486, 3484, 3407, 3475, 3399, 3463, 3388,
-      3455, 3381, 3366, 3284, 3280, 3267, 3262, 3252,
-    ],
-    [
-      3545, 3546, 3547, 3548, 3549, 3488, 3482, 3406, 3478, 3404, 3472, 3394,
-      3466, 3390, 3372, 3289, 3287, 3274, 3270, 3256,
-    ],
-    [3494, 3504, 3413, 3499, 3550, 3551, 3552, 3553],
-    [3417, 3498, 3509, 3493, 3551, 3554, 3555, 3556],
-    [3503, 3492, 3421, 3514, 3550, 3557, 3558, 3559],
-    [3425, 3519, 3497, 3502, 3552, 3560, 3561, 3562],
-    [3491, 3429, 3524, 3508, 3555, 3563, 3564, 3565],
-    [3523, 3490, 3433, 3513, 3557, 3563, 3566, 3567],
-    [3496, 3507, 3436, 3529, 3554, 3568, 3569, 3570],
-    [3534, 3501, 3441, 3512, 3558, 3571, 3572, 3573],
-    [3495, 3518, 3445, 3528, 3560, 3568, 3574, 3575],
-    [3449, 3500, 3533, 3517, 3561, 3571, 3576, 3577],
-    [3453, 3539, 3506, 3522, 3564, 3578, 3579, 3580],
-    [3544, 3521, 3457, 3511, 3566, 3581, 3582, 3583],
-    [3505, 3538, 3461, 3527, 3569, 3578, 3584, 3585],
-    [3532, 3543, 3464, 3510, 3572, 3581, 3586, 3587],
-    [3516, 3549, 3469, 3526, 3574, 3588, 3589, 3590],
-    [3548, 3473, 3515, 3531, 3576, 3588, 3591, 3592],
-    [3477, 3520, 3542, 3537, 3579, 3582, 3593, 3594],
-    [3536, 3547, 3481, 3525, 3584, 3589, 3595, 3596],
-    [3485, 3530, 3541, 3546, 3591, 3586, 3597, 3598],
-    [3545, 3535, 3489, 3540, 3593, 3597, 3595, 3599],
-    [
-      3599, 3598, 3596, 3592, 3590, 3594, 3587, 3583, 3585, 3580, 3577, 3573,
-      3575, 3570, 3567, 3565, 3562, 3559, 3556, 3553,
-    ],
-  ],
-}
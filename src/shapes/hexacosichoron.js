@@ -1,1928 +0,0 @@
-export default {
-  vertices: [
-    [0.5, 0.5, 0.5, 0.5],
-    [0.5, 0.5, 0.5, -0.5],
-    [0.5, 0.5, -0.5, 0.5],
-    [0.5, 0.5, -0.5, -0.5],
-    [0.5, -0.5, 0.5, 0.5],
-    [0.5, -0.5, 0.5, -0.5],
-    [0.5, -0.5, -0.5, 0.5],
-    [0.5, -0.5, -0.5, -0.5],
-    [-0.5, 0.5, 0.5, 0.5],
-    [-0.5, 0.5, 0.5, -0.5],
-    [-0.5, 0.5, -0.5, 0.5],
-    [-0.5, 0.5, -0.5, -0.5],
-    [-0.5, -0.5, 0.5, 0.5],
-    [-0.5, -0.5, 0.5, -0.5],
-    [-0.5, -0.5, -0.5, 0.5],
-    [-0.5, -0.5, -0.5, -0.5],
-    [1.0, 0.0, 0.0, 0.0],
-    [0.0, 1.0, 0.0, 0.0],
-    [0.0, 0.0, 1.0, 0.0],
-    [0.0, 0.0, 0.0, 1.0],
-    [-1.0, 0.0, 0.0, 0.0],
-    [0.0, -1.0, 0.0, 0.0],
-    [0.0, 0.0, -1.0, 0.0],
-    [0.0, 0.0, 0.0, -1.0],
-    [0.5, 0.8090169944, 0.3090169944, 0.0],
-    [0.5, 0.8090169944, -0.3090169944, 0.0],
-    [0.5, -0.8090169944, 0.3090169944, 0.0],
-    [0.5, -0.8090169944, -0.3090169944, 0.0],
-    [-0.5, 0.8090169944, 0.3090169944, 0.0],
-    [-0.5, 0.8090169944, -0.3090169944, 0.0],
-    [-0.5, -0.8090169944, 0.3090169944, 0.0],
-    [-0.5, -0.8090169944, -0.3090169944, 0.0],
-    [0.3090169944, 0.0, 0.5, 0.8090169944],
-    [-0.3090169944, 0.0, 0.5, 0.8090169944],
-    [0.3090169944, 0.0, 0.5, -0.8090169944],
-    [-0.3090169944, 0.0, 0.5, -0.8090169944],
-    [0.3090169944, 0.0, -0.5, 0.8090169944],
-    [-0.3090169944, 0.0, -0.5, 0.8090169944],
-    [0.3090169944, 0.0, -0.5, -0.8090169944],
-    [-0.3090169944, 0.0, -0.5, -0.8090169944],
-    [0.8090169944, 0.5, 0.0, 0.3090169944],
-    [0.8090169944, 0.5, 0.0, -0.3090169944],
-    [-0.8090169944, 0.5, 0.0, 0.3090169944],
-    [-0.8090169944, 0.5, 0.0, -0.3090169944],
-    [0.8090169944, -0.5, 0.0, 0.3090169944],
-    [0.8090169944, -0.5, 0.0, -0.3090169944],
-    [-0.8090169944, -0.5, 0.0, 0.3090169944],
-    [-0.8090169944, -0.5, 0.0, -0.3090169944],
-    [0.0, 0.3090169944, 0.8090169944, 0.5],
-    [0.0, -0.3090169944, 0.8090169944, 0.5],
-    [0.0, 0.3090169944, -0.8090169944, 0.5],
-    [0.0, -0.3090169944, -0.8090169944, 0.5],
-    [0.0, 0.3090169944, 0.8090169944, -0.5],
-    [0.0, -0.3090169944, 0.8090169944, -0.5],
-    [0.0, 0.3090169944, -0.8090169944, -0.5],
-    [0.0, -0.3090169944, -0.8090169944, -0.5],
-    [0.5, 0.0, 0.8090169944, 0.3090169944],
-    [0.5, 0.0, 0.8090169944, -0.3090169944],
-    [0.5, 0.0, -0.8090169944, 0.3090169944],
-    [0.5, 0.0, -0.8090169944, -0.3090169944],
-    [-0.5, 0.0, 0.8090169944, 0.3090169944],
-    [-0.5, 0.0, 0.8090169944, -0.3090169944],
-    [-0.5, 0.0, -0.8090169944, 0.3090169944],
-    [-0.5, 0.0, -0.8090169944, -0.3090169944],
-    [0.3090169944, 0.8090169944, 0.0, 0.5],
-    [-0.3090169944, 0.8090169944, 0.0, 0.5],
-    [0.3090169944, -0.8090169944, 0.0, 0.5],
-    [-0.3090169944, -0.8090169944, 0.0, 0.5],
-    [0.3090169944, 0.8090169944, 0.0, -0.5],
-    [-0.3090169944, 0.8090169944, 0.0, -0.5],
-    [0.3090169944, -0.8090169944, 0.0, -0.5],
-    [-0.3090169944, -0.8090169944, 0.0, -0.5],
-    [0.8090169944, 0.3090169944, 0.5, 0.0],
-    [0.8090169944, -0.3090169944, 0.5, 0.0],
-    [-0.8090169944, 0.3090169944, 0.5, 0.0],
-    [-0.8090169944, -0.3090169944, 0.5, 0.0],
-    [0.8090169944, 0.3090169944, -0.5, 0.0],
-    [0.8090169944, -0.3090169944, -0.5, 0.0],
-    [-0.8090169944, 0.3090169944, -0.5, 0.0],
-    [-0.8090169944, -0.3090169944, -0.5, 0.0],
-    [0.0, 0.5, 0.3090169944, 0.8090169944],
-    [0.0, 0.5, -0.3090169944, 0.8090169944],
-    [0.0, 0.5, 0.3090169944, -0.8090169944],
-    [0.0, 0.5, -0.3090169944, -0.8090169944],
-    [0.0, -0.5, 0.3090169944, 0.8090169944],
-    [0.0, -0.5, -0.3090169944, 0.8090169944],
-    [0.0, -0.5, 0.3090169944, -0.8090169944],
-    [0.0, -0.5, -0.3090169944, -0.8090169944],
-    [0.5, 0.3090169944, 0.0, 0.8090169944],
-    [0.5, -0.3090169944, 0.0, 0.8090169944],
-    [0.5, 0.3090169944, 0.0, -0.8090169944],
-    [0.5, -0.3090169944, 0.0, -0.8090169944],
-    [-0.5, 0.3090169944, 0.0, 0.8090169944],
-    [-0.5, -0.3090169944, 0.0, 0.8090169944],
-    [-0.5, 0.3090169944, 0.0, -0.8090169944],
-    [-0.5, -0.3090169944, 0.0, -0.8090169944],
-    [0.3090169944, 0.5, 0.8090169944, 0.0],
-    [-0.3090169944, 0.5, 0.8090169944, 0.0],
-    [0.3090169944, 0.5, -0.8090169944, 0.0],
-    [-0.3090169944, 0.5, -0.8090169944, 0.0],
-    [0.3090169944, -0.5, 0.8090169944, 0.0],
-    [-0.3090169944, -0.5, 0.8090169944, 0.0],
-    [0.3090169944, -0.5, -0.8090169944, 0.0],
-    [-0.3090169944, -0.5, -0.8090169944, 0.0],
-    [0.8090169944, 0.0, 0.3090169944, 0.5],
-    [0.8090169944, 0.0, -0.3090169944, 0.5],
-    [-0.8090169944, 0.0, 0.3090169944, 0.5],
-    [-0.8090169944, 0.0, -0.3090169944, 0.5],
-    [0.8090169944, 0.0, 0.3090169944, -0.5],
-    [0.8090169944, 0.0, -0.3090169944, -0.5],
-    [-0.8090169944, 0.0, 0.3090169944, -0.5],
-    [-0.8090169944, 0.0, -0.3090169944, -0.5],
-    [0.0, 0.8090169944, 0.5, 0.3090169944],
-    [0.0, 0.8090169944, 0.5, -0.3090169944],
-    [0.0, -0.8090169944, 0.5, 0.3090169944],
-    [0.0, -0.8090169944, 0.5, -0.3090169944],
-    [0.0, 0.8090169944, -0.5, 0.3090169944],
-    [0.0, 0.8090169944, -0.5, -0.3090169944],
-    [0.0, -0.8090169944, -0.5, 0.3090169944],
-    [0.0, -0.8090169944, -0.5, -0.3090169944],
-  ],
-  faces: [
-    [102, 103, 119],
-    [103, 118, 119],
-    [102, 103, 118],
-    [102, 118, 119],
-    [31, 103, 119],
-    [31, 103, 118],
-    [31, 118, 119],
-    [27, 102, 119],
-    [27, 118, 119],
-    [27, 102, 118],
-    [21, 31, 119],
-    [21, 31, 118],
-    [21, 118, 119],
-    [21, 27, 119],
-    [21, 27, 118],
-    [55, 103, 119],
-    [55, 102, 103],
-    [55, 102, 119],
-    [15, 103, 119],
-    [15, 55, 103],
-    [15, 55, 119],
-    [15, 31, 103],
-    [15, 31, 119],
-    [7, 102, 119],
-    [7, 55, 119],
-    [7, 55, 102],
-    [7, 27, 119],
-    [7, 27, 102],
-    [71, 87, 119],
-    [70, 71, 119],
-    [70, 71, 87],
-    [70, 87, 119],
-    [15, 71, 119],
-    [15, 71, 87],
-    [15, 87, 119],
-    [7, 70, 119],
-    [7, 87, 119],
-    [7, 70, 87],
-    [15, 55, 87],
-    [55, 87, 119],
-    [7, 55, 87],
-    [21, 71, 119],
-    [21, 70, 71],
-    [21, 70, 119],
-    [21, 31, 71],
-    [31, 71, 119],
-    [15, 31, 71],
-    [21, 27, 70],
-    [27, 70, 119],
-    [7, 27, 70],
-    [51, 103, 118],
-    [51, 102, 103],
-    [51, 102, 118],
-    [14, 103, 118],
-    [14, 51, 103],
-    [14, 51, 118],
-    [14, 31, 103],
-    [14, 31, 118],
-    [6, 102, 118],
-    [6, 51, 118],
-    [6, 51, 102],
-    [6, 27, 118],
-    [6, 27, 102],
-    [67, 85, 118],
-    [66, 67, 118],
-    [66, 67, 85],
-    [66, 85, 118],
-    [14, 67, 118],
-    [14, 67, 85],
-    [14, 85, 118],
-    [6, 66, 118],
-    [6, 85, 118],
-    [6, 66, 85],
-    [14, 51, 85],
-    [51, 85, 118],
-    [6, 51, 85],
-    [21, 67, 118],
-    [21, 66, 67],
-    [21, 66, 118],
-    [21, 31, 67],
-    [31, 67, 118],
-    [14, 31, 67],
-    [21, 27, 66],
-    [27, 66, 118],
-    [6, 27, 66],
-    [98, 99, 117],
-    [99, 116, 117],
-    [98, 99, 116],
-    [98, 116, 117],
-    [29, 99, 117],
-    [29, 99, 116],
-    [29, 116, 117],
-    [25, 98, 117],
-    [25, 116, 117],
-    [25, 98, 116],
-    [17, 29, 117],
-    [17, 29, 116],
-    [17, 116, 117],
-    [17, 25, 117],
-    [17, 25, 116],
-    [54, 99, 117],
-    [54, 98, 99],
-    [54, 98, 117],
-    [11, 54, 99],
-    [11, 99, 117],
-    [11, 54, 117],
-    [11, 29, 99],
-    [11, 29, 117],
-    [3, 54, 98],
-    [3, 54, 117],
-    [3, 98, 117],
-    [3, 25, 117],
-    [3, 25, 98],
-    [69, 83, 117],
-    [68, 69, 83],
-    [68, 69, 117],
-    [68, 83, 117],
-    [11, 69, 83],
-    [11, 69, 117],
-    [11, 83, 117],
-    [3, 68, 83],
-    [3, 83, 117],
-    [3, 68, 117],
-    [11, 54, 83],
-    [54, 83, 117],
-    [3, 54, 83],
-    [17, 69, 117],
-    [17, 68, 69],
-    [17, 68, 117],
-    [17, 29, 69],
-    [29, 69, 117],
-    [11, 29, 69],
-    [25, 68, 117],
-    [17, 25, 68],
-    [3, 25, 68],
-    [50, 99, 116],
-    [50, 98, 99],
-    [50, 98, 116],
-    [10, 50, 99],
-    [10, 99, 116],
-    [10, 50, 116],
-    [10, 29, 99],
-    [10, 29, 116],
-    [2, 50, 98],
-    [2, 50, 116],
-    [2, 98, 116],
-    [2, 25, 116],
-    [2, 25, 98],
-    [65, 81, 116],
-    [64, 65, 81],
-    [64, 65, 116],
-    [64, 81, 116],
-    [10, 65, 81],
-    [10, 65, 116],
-    [10, 81, 116],
-    [2, 64, 81],
-    [2, 81, 116],
-    [2, 64, 116],
-    [10, 50, 81],
-    [50, 81, 116],
-    [2, 50, 81],
-    [17, 65, 116],
-    [17, 64, 65],
-    [17, 64, 116],
-    [17, 29, 65],
-    [29, 65, 116],
-    [10, 29, 65],
-    [25, 64, 116],
-    [17, 25, 64],
-    [2, 25, 64],
-    [100, 101, 115],
-    [101, 114, 115],
-    [100, 101, 114],
-    [100, 114, 115],
-    [30, 101, 115],
-    [30, 101, 114],
-    [30, 114, 115],
-    [26, 100, 115],
-    [26, 114, 115],
-    [26, 100, 114],
-    [21, 30, 115],
-    [21, 30, 114],
-    [21, 114, 115],
-    [21, 26, 115],
-    [21, 26, 114],
-    [53, 101, 115],
-    [53, 100, 101],
-    [53, 100, 115],
-    [13, 101, 115],
-    [13, 53, 101],
-    [13, 53, 115],
-    [13, 30, 101],
-    [13, 30, 115],
-    [5, 100, 115],
-    [5, 53, 115],
-    [5, 53, 100],
-    [5, 26, 115],
-    [5, 26, 100],
-    [71, 86, 115],
-    [70, 71, 115],
-    [70, 71, 86],
-    [70, 86, 115],
-    [13, 71, 115],
-    [13, 71, 86],
-    [13, 86, 115],
-    [5, 70, 115],
-    [5, 86, 115],
-    [5, 70, 86],
-    [13, 53, 86],
-    [53, 86, 115],
-    [5, 53, 86],
-    [21, 71, 115],
-    [21, 70, 115],
-    [21, 30, 71],
-    [30, 71, 115],
-    [13, 30, 71],
-    [21, 26, 70],
-    [26, 70, 115],
-    [5, 26, 70],
-    [49, 101, 114],
-    [49, 100, 101],
-    [49, 100, 114],
-    [12, 101, 114],
-    [12, 49, 101],
-    [12, 49, 114],
-    [12, 30, 101],
-    [12, 30, 114],
-    [4, 100, 114],
-    [4, 49, 114],
-    [4, 49, 100],
-    [4, 26, 114],
-    [4, 26, 100],
-    [67, 84, 114],
-    [66, 67, 114],
-    [66, 67, 84],
-    [66, 84, 114],
-    [12, 67, 114],
-    [12, 67, 84],
-    [12, 84, 114],
-    [4, 66, 114],
-    [4, 84, 114],
-    [4, 66, 84],
-    [12, 49, 84],
-    [49, 84, 114],
-    [4, 49, 84],
-    [21, 67, 114],
-    [21, 66, 114],
-    [21, 30, 67],
-    [30, 67, 114],
-    [12, 30, 67],
-    [21, 26, 66],
-    [26, 66, 114],
-    [4, 26, 66],
-    [96, 97, 113],
-    [97, 112, 113],
-    [96, 97, 112],
-    [96, 112, 113],
-    [28, 97, 113],
-    [28, 97, 112],
-    [28, 112, 113],
-    [24, 96, 113],
-    [24, 112, 113],
-    [24, 96, 112],
-    [17, 28, 113],
-    [17, 28, 112],
-    [17, 112, 113],
-    [17, 24, 113],
-    [17, 24, 112],
-    [52, 97, 113],
-    [52, 96, 97],
-    [52, 96, 113],
-    [9, 52, 97],
-    [9, 97, 113],
-    [9, 52, 113],
-    [9, 28, 97],
-    [9, 28, 113],
-    [1, 52, 96],
-    [1, 52, 113],
-    [1, 96, 113],
-    [1, 24, 113],
-    [1, 24, 96],
-    [69, 82, 113],
-    [68, 69, 82],
-    [68, 69, 113],
-    [68, 82, 113],
-    [9, 69, 82],
-    [9, 69, 113],
-    [9, 82, 113],
-    [1, 68, 82],
-    [1, 82, 113],
-    [1, 68, 113],
-    [9, 52, 82],
-    [52, 82, 113],
-    [1, 52, 82],
-    [17, 69, 113],
-    [17, 68, 113],
-    [17, 28, 69],
-    [28, 69, 113],
-    [9, 28, 69],
-    [24, 68, 113],
-    [17, 24, 68],
-    [1, 24, 68],
-    [48, 97, 112],
-    [48, 96, 97],
-    [48, 96, 112],
-    [8, 48, 97],
-    [8, 97, 112],
-    [8, 48, 112],
-    [8, 28, 97],
-    [8, 28, 112],
-    [0, 48, 96],
-    [0, 48, 112],
-    [0, 96, 112],
-    [0, 24, 112],
-    [0, 24, 96],
-    [65, 80, 112],
-    [64, 65, 80],
-    [64, 65, 112],
-    [64, 80, 112],
-    [8, 65, 80],
-    [8, 65, 112],
-    [8, 80, 112],
-    [0, 64, 80],
-    [0, 80, 112],
-    [0, 64, 112],
-    [8, 48, 80],
-    [48, 80, 112],
-    [0, 48, 80],
-    [17, 65, 112],
-    [17, 64, 112],
-    [17, 28, 65],
-    [28, 65, 112],
-    [8, 28, 65],
-    [24, 64, 112],
-    [17, 24, 64],
-    [0, 24, 64],
-    [94, 95, 111],
-    [95, 110, 111],
-    [94, 110, 111],
-    [94, 95, 110],
-    [47, 95, 111],
-    [47, 95, 110],
-    [47, 110, 111],
-    [43, 94, 111],
-    [43, 110, 111],
-    [43, 94, 110],
-    [20, 47, 111],
-    [20, 47, 110],
-    [20, 110, 111],
-    [20, 43, 111],
-    [20, 43, 110],
-    [39, 95, 111],
-    [39, 94, 111],
-    [39, 94, 95],
-    [15, 47, 111],
-    [15, 47, 95],
-    [15, 95, 111],
-    [15, 39, 111],
-    [15, 39, 95],
-    [11, 94, 111],
-    [11, 43, 111],
-    [11, 43, 94],
-    [11, 39, 111],
-    [11, 39, 94],
-    [63, 79, 111],
-    [63, 78, 79],
-    [78, 79, 111],
-    [63, 78, 111],
-    [20, 79, 111],
-    [20, 78, 79],
-    [20, 78, 111],
-    [15, 79, 111],
-    [15, 63, 79],
-    [15, 63, 111],
-    [20, 47, 79],
-    [47, 79, 111],
-    [15, 47, 79],
-    [11, 63, 111],
-    [11, 78, 111],
-    [11, 63, 78],
-    [20, 43, 78],
-    [43, 78, 111],
-    [11, 43, 78],
-    [39, 63, 111],
-    [15, 39, 63],
-    [11, 39, 63],
-    [35, 95, 110],
-    [35, 94, 110],
-    [35, 94, 95],
-    [13, 47, 110],
-    [13, 47, 95],
-    [13, 95, 110],
-    [13, 35, 110],
-    [13, 35, 95],
-    [9, 94, 110],
-    [9, 43, 110],
-    [9, 43, 94],
-    [9, 35, 110],
-    [9, 35, 94],
-    [61, 75, 110],
-    [61, 74, 75],
-    [74, 75, 110],
-    [61, 74, 110],
-    [20, 75, 110],
-    [20, 74, 75],
-    [20, 74, 110],
-    [13, 75, 110],
-    [13, 61, 75],
-    [13, 61, 110],
-    [20, 47, 75],
-    [47, 75, 110],
-    [13, 47, 75],
-    [9, 61, 110],
-    [9, 74, 110],
-    [9, 61, 74],
-    [20, 43, 74],
-    [43, 74, 110],
-    [9, 43, 74],
-    [35, 61, 110],
-    [13, 35, 61],
-    [9, 35, 61],
-    [90, 91, 109],
-    [91, 108, 109],
-    [90, 91, 108],
-    [90, 108, 109],
-    [45, 91, 109],
-    [45, 91, 108],
-    [45, 108, 109],
-    [41, 90, 109],
-    [41, 90, 108],
-    [41, 108, 109],
-    [16, 45, 109],
-    [16, 45, 108],
-    [16, 108, 109],
-    [16, 41, 109],
-    [16, 41, 108],
-    [38, 90, 91],
-    [38, 91, 109],
-    [38, 90, 109],
-    [7, 45, 91],
-    [7, 45, 109],
-    [7, 91, 109],
-    [7, 38, 91],
-    [7, 38, 109],
-    [3, 90, 109],
-    [3, 41, 90],
-    [3, 41, 109],
-    [3, 38, 90],
-    [3, 38, 109],
-    [59, 77, 109],
-    [59, 76, 77],
-    [59, 76, 109],
-    [76, 77, 109],
-    [16, 77, 109],
-    [16, 76, 77],
-    [16, 76, 109],
-    [7, 59, 77],
-    [7, 77, 109],
-    [7, 59, 109],
-    [16, 45, 77],
-    [45, 77, 109],
-    [7, 45, 77],
-    [3, 59, 109],
-    [3, 59, 76],
-    [3, 76, 109],
-    [41, 76, 109],
-    [16, 41, 76],
-    [3, 41, 76],
-    [7, 38, 59],
-    [38, 59, 109],
-    [3, 38, 59],
-    [34, 90, 91],
-    [34, 91, 108],
-    [34, 90, 108],
-    [5, 45, 91],
-    [5, 45, 108],
-    [5, 91, 108],
-    [5, 34, 91],
-    [5, 34, 108],
-    [1, 90, 108],
-    [1, 41, 90],
-    [1, 41, 108],
-    [1, 34, 90],
-    [1, 34, 108],
-    [57, 73, 108],
-    [57, 72, 73],
-    [57, 72, 108],
-    [72, 73, 108],
-    [16, 73, 108],
-    [16, 72, 73],
-    [16, 72, 108],
-    [5, 57, 73],
-    [5, 73, 108],
-    [5, 57, 108],
-    [16, 45, 73],
-    [45, 73, 108],
-    [5, 45, 73],
-    [1, 57, 108],
-    [1, 57, 72],
-    [1, 72, 108],
-    [41, 72, 108],
-    [16, 41, 72],
-    [1, 41, 72],
-    [5, 34, 57],
-    [34, 57, 108],
-    [1, 34, 57],
-    [92, 93, 107],
-    [93, 106, 107],
-    [92, 106, 107],
-    [92, 93, 106],
-    [46, 93, 107],
-    [46, 93, 106],
-    [46, 106, 107],
-    [42, 92, 107],
-    [42, 106, 107],
-    [42, 92, 106],
-    [20, 46, 107],
-    [20, 46, 106],
-    [20, 106, 107],
-    [20, 42, 107],
-    [20, 42, 106],
-    [37, 93, 107],
-    [37, 92, 107],
-    [37, 92, 93],
-    [14, 46, 107],
-    [14, 46, 93],
-    [14, 93, 107],
-    [14, 37, 107],
-    [14, 37, 93],
-    [10, 92, 107],
-    [10, 42, 107],
-    [10, 42, 92],
-    [10, 37, 107],
-    [10, 37, 92],
-    [62, 79, 107],
-    [62, 78, 79],
-    [78, 79, 107],
-    [62, 78, 107],
-    [20, 79, 107],
-    [20, 78, 107],
-    [14, 79, 107],
-    [14, 62, 79],
-    [14, 62, 107],
-    [20, 46, 79],
-    [46, 79, 107],
-    [14, 46, 79],
-    [10, 62, 107],
-    [10, 78, 107],
-    [10, 62, 78],
-    [20, 42, 78],
-    [42, 78, 107],
-    [10, 42, 78],
-    [37, 62, 107],
-    [14, 37, 62],
-    [10, 37, 62],
-    [33, 93, 106],
-    [33, 92, 106],
-    [33, 92, 93],
-    [12, 46, 106],
-    [12, 46, 93],
-    [12, 93, 106],
-    [12, 33, 106],
-    [12, 33, 93],
-    [8, 92, 106],
-    [8, 42, 106],
-    [8, 42, 92],
-    [8, 33, 106],
-    [8, 33, 92],
-    [60, 75, 106],
-    [60, 74, 75],
-    [74, 75, 106],
-    [60, 74, 106],
-    [20, 75, 106],
-    [20, 74, 106],
-    [12, 75, 106],
-    [12, 60, 75],
-    [12, 60, 106],
-    [20, 46, 75],
-    [46, 75, 106],
-    [12, 46, 75],
-    [8, 60, 106],
-    [8, 74, 106],
-    [8, 60, 74],
-    [20, 42, 74],
-    [42, 74, 106],
-    [8, 42, 74],
-    [33, 60, 106],
-    [12, 33, 60],
-    [8, 33, 60],
-    [88, 89, 105],
-    [89, 104, 105],
-    [88, 89, 104],
-    [88, 104, 105],
-    [44, 89, 105],
-    [44, 89, 104],
-    [44, 104, 105],
-    [40, 88, 105],
-    [40, 88, 104],
-    [40, 104, 105],
-    [16, 44, 105],
-    [16, 44, 104],
-    [16, 104, 105],
-    [16, 40, 105],
-    [16, 40, 104],
-    [36, 88, 89],
-    [36, 89, 105],
-    [36, 88, 105],
-    [6, 44, 89],
-    [6, 44, 105],
-    [6, 89, 105],
-    [6, 36, 89],
-    [6, 36, 105],
-    [2, 88, 105],
-    [2, 40, 88],
-    [2, 40, 105],
-    [2, 36, 88],
-    [2, 36, 105],
-    [58, 77, 105],
-    [58, 76, 77],
-    [58, 76, 105],
-    [76, 77, 105],
-    [16, 77, 105],
-    [16, 76, 105],
-    [6, 58, 77],
-    [6, 77, 105],
-    [6, 58, 105],
-    [16, 44, 77],
-    [44, 77, 105],
-    [6, 44, 77],
-    [2, 58, 105],
-    [2, 58, 76],
-    [2, 76, 105],
-    [40, 76, 105],
-    [16, 40, 76],
-    [2, 40, 76],
-    [6, 36, 58],
-    [36, 58, 105],
-    [2, 36, 58],
-    [32, 88, 89],
-    [32, 89, 104],
-    [32, 88, 104],
-    [4, 44, 89],
-    [4, 44, 104],
-    [4, 89, 104],
-    [4, 32, 89],
-    [4, 32, 104],
-    [0, 88, 104],
-    [0, 40, 88],
-    [0, 40, 104],
-    [0, 32, 88],
-    [0, 32, 104],
-    [56, 73, 104],
-    [56, 72, 73],
-    [56, 72, 104],
-    [72, 73, 104],
-    [16, 73, 104],
-    [16, 72, 104],
-    [4, 56, 73],
-    [4, 73, 104],
-    [4, 56, 104],
-    [16, 44, 73],
-    [44, 73, 104],
-    [4, 44, 73],
-    [0, 56, 104],
-    [0, 56, 72],
-    [0, 72, 104],
-    [40, 72, 104],
-    [16, 40, 72],
-    [0, 40, 72],
-    [4, 32, 56],
-    [32, 56, 104],
-    [0, 32, 56],
-    [22, 55, 103],
-    [22, 102, 103],
-    [22, 55, 102],
-    [22, 51, 103],
-    [22, 51, 102],
-    [63, 79, 103],
-    [62, 63, 79],
-    [62, 79, 103],
-    [62, 63, 103],
-    [15, 79, 103],
-    [15, 63, 103],
-    [14, 79, 103],
-    [14, 62, 103],
-    [15, 31, 79],
-    [31, 79, 103],
-    [14, 31, 79],
-    [22, 63, 103],
-    [22, 62, 63],
-    [22, 62, 103],
-    [55, 63, 103],
-    [22, 55, 63],
-    [15, 55, 63],
-    [51, 62, 103],
-    [22, 51, 62],
-    [14, 51, 62],
-    [59, 77, 102],
-    [58, 59, 102],
-    [58, 77, 102],
-    [58, 59, 77],
-    [7, 59, 102],
-    [7, 77, 102],
-    [6, 58, 102],
-    [6, 77, 102],
-    [27, 77, 102],
-    [7, 27, 77],
-    [6, 27, 77],
-    [22, 59, 102],
-    [22, 58, 102],
-    [22, 58, 59],
-    [55, 59, 102],
-    [22, 55, 59],
-    [7, 55, 59],
-    [51, 58, 102],
-    [22, 51, 58],
-    [6, 51, 58],
-    [18, 53, 101],
-    [18, 100, 101],
-    [18, 53, 100],
-    [18, 49, 101],
-    [18, 49, 100],
-    [61, 75, 101],
-    [60, 61, 75],
-    [60, 75, 101],
-    [60, 61, 101],
-    [13, 75, 101],
-    [13, 61, 101],
-    [12, 75, 101],
-    [12, 60, 101],
-    [13, 30, 75],
-    [30, 75, 101],
-    [12, 30, 75],
-    [18, 61, 101],
-    [18, 60, 61],
-    [18, 60, 101],
-    [53, 61, 101],
-    [18, 53, 61],
-    [13, 53, 61],
-    [49, 60, 101],
-    [18, 49, 60],
-    [12, 49, 60],
-    [57, 73, 100],
-    [56, 57, 100],
-    [56, 73, 100],
-    [56, 57, 73],
-    [5, 57, 100],
-    [5, 73, 100],
-    [4, 56, 100],
-    [4, 73, 100],
-    [26, 73, 100],
-    [5, 26, 73],
-    [4, 26, 73],
-    [18, 57, 100],
-    [18, 56, 100],
-    [18, 56, 57],
-    [53, 57, 100],
-    [18, 53, 57],
-    [5, 53, 57],
-    [49, 56, 100],
-    [18, 49, 56],
-    [4, 49, 56],
-    [22, 54, 99],
-    [22, 98, 99],
-    [22, 54, 98],
-    [22, 50, 99],
-    [22, 50, 98],
-    [63, 78, 99],
-    [62, 63, 78],
-    [62, 78, 99],
-    [62, 63, 99],
-    [11, 78, 99],
-    [11, 63, 99],
-    [10, 78, 99],
-    [10, 62, 99],
-    [11, 29, 78],
-    [29, 78, 99],
-    [10, 29, 78],
-    [22, 63, 99],
-    [22, 62, 99],
-    [54, 63, 99],
-    [22, 54, 63],
-    [11, 54, 63],
-    [50, 62, 99],
-    [22, 50, 62],
-    [10, 50, 62],
-    [59, 76, 98],
-    [58, 59, 98],
-    [58, 76, 98],
-    [58, 59, 76],
-    [3, 59, 98],
-    [3, 76, 98],
-    [2, 58, 98],
-    [2, 76, 98],
-    [25, 76, 98],
-    [3, 25, 76],
-    [2, 25, 76],
-    [22, 59, 98],
-    [22, 58, 98],
-    [22, 54, 59],
-    [54, 59, 98],
-    [3, 54, 59],
-    [22, 50, 58],
-    [50, 58, 98],
-    [2, 50, 58],
-    [18, 52, 97],
-    [18, 96, 97],
-    [18, 52, 96],
-    [18, 48, 97],
-    [18, 48, 96],
-    [61, 74, 97],
-    [60, 61, 74],
-    [60, 74, 97],
-    [60, 61, 97],
-    [9, 74, 97],
-    [9, 61, 97],
-    [8, 74, 97],
-    [8, 60, 97],
-    [9, 28, 74],
-    [28, 74, 97],
-    [8, 28, 74],
-    [18, 61, 97],
-    [18, 60, 97],
-    [52, 61, 97],
-    [18, 52, 61],
-    [9, 52, 61],
-    [48, 60, 97],
-    [18, 48, 60],
-    [8, 48, 60],
-    [57, 72, 96],
-    [56, 57, 96],
-    [56, 72, 96],
-    [56, 57, 72],
-    [1, 57, 96],
-    [1, 72, 96],
-    [0, 56, 96],
-    [0, 72, 96],
-    [24, 72, 96],
-    [1, 24, 72],
-    [0, 24, 72],
-    [18, 57, 96],
-    [18, 56, 96],
-    [18, 52, 57],
-    [52, 57, 96],
-    [1, 52, 57],
-    [18, 48, 56],
-    [48, 56, 96],
-    [0, 48, 56],
-    [23, 39, 95],
-    [23, 94, 95],
-    [23, 39, 94],
-    [23, 35, 95],
-    [23, 35, 94],
-    [71, 87, 95],
-    [71, 86, 95],
-    [86, 87, 95],
-    [71, 86, 87],
-    [23, 87, 95],
-    [23, 86, 95],
-    [23, 86, 87],
-    [15, 71, 95],
-    [15, 87, 95],
-    [39, 87, 95],
-    [23, 39, 87],
-    [15, 39, 87],
-    [13, 71, 95],
-    [13, 86, 95],
-    [35, 86, 95],
-    [23, 35, 86],
-    [13, 35, 86],
-    [15, 47, 71],
-    [47, 71, 95],
-    [13, 47, 71],
-    [69, 83, 94],
-    [69, 82, 94],
-    [82, 83, 94],
-    [69, 82, 83],
-    [23, 83, 94],
-    [23, 82, 94],
-    [23, 82, 83],
-    [11, 69, 94],
-    [11, 83, 94],
-    [39, 83, 94],
-    [23, 39, 83],
-    [11, 39, 83],
-    [9, 69, 94],
-    [9, 82, 94],
-    [35, 82, 94],
-    [23, 35, 82],
-    [9, 35, 82],
-    [43, 69, 94],
-    [11, 43, 69],
-    [9, 43, 69],
-    [19, 37, 93],
-    [19, 92, 93],
-    [19, 37, 92],
-    [19, 33, 93],
-    [19, 33, 92],
-    [67, 85, 93],
-    [67, 84, 93],
-    [84, 85, 93],
-    [67, 84, 85],
-    [19, 85, 93],
-    [19, 84, 93],
-    [19, 84, 85],
-    [14, 67, 93],
-    [14, 85, 93],
-    [37, 85, 93],
-    [19, 37, 85],
-    [14, 37, 85],
-    [12, 67, 93],
-    [12, 84, 93],
-    [33, 84, 93],
-    [19, 33, 84],
-    [12, 33, 84],
-    [14, 46, 67],
-    [46, 67, 93],
-    [12, 46, 67],
-    [65, 81, 92],
-    [65, 80, 92],
-    [80, 81, 92],
-    [65, 80, 81],
-    [19, 81, 92],
-    [19, 80, 92],
-    [19, 80, 81],
-    [10, 65, 92],
-    [10, 81, 92],
-    [37, 81, 92],
-    [19, 37, 81],
-    [10, 37, 81],
-    [8, 65, 92],
-    [8, 80, 92],
-    [33, 80, 92],
-    [19, 33, 80],
-    [8, 33, 80],
-    [42, 65, 92],
-    [10, 42, 65],
-    [8, 42, 65],
-    [23, 38, 91],
-    [23, 38, 90],
-    [23, 90, 91],
-    [23, 34, 91],
-    [23, 34, 90],
-    [70, 87, 91],
-    [70, 86, 87],
-    [86, 87, 91],
-    [70, 86, 91],
-    [23, 87, 91],
-    [23, 86, 91],
-    [7, 87, 91],
-    [7, 70, 91],
-    [23, 38, 87],
-    [38, 87, 91],
-    [7, 38, 87],
-    [5, 86, 91],
-    [5, 70, 91],
-    [23, 34, 86],
-    [34, 86, 91],
-    [5, 34, 86],
-    [7, 45, 70],
-    [45, 70, 91],
-    [5, 45, 70],
-    [68, 83, 90],
-    [68, 82, 83],
-    [82, 83, 90],
-    [68, 82, 90],
-    [23, 83, 90],
-    [23, 82, 90],
-    [3, 83, 90],
-    [3, 68, 90],
-    [23, 38, 83],
-    [38, 83, 90],
-    [3, 38, 83],
-    [1, 82, 90],
-    [1, 68, 90],
-    [23, 34, 82],
-    [34, 82, 90],
-    [1, 34, 82],
-    [41, 68, 90],
-    [3, 41, 68],
-    [1, 41, 68],
-    [19, 36, 89],
-    [19, 36, 88],
-    [19, 88, 89],
-    [19, 32, 89],
-    [19, 32, 88],
-    [66, 85, 89],
-    [66, 84, 85],
-    [84, 85, 89],
-    [66, 84, 89],
-    [19, 85, 89],
-    [19, 84, 89],
-    [6, 85, 89],
-    [6, 66, 89],
-    [19, 36, 85],
-    [36, 85, 89],
-    [6, 36, 85],
-    [4, 84, 89],
-    [4, 66, 89],
-    [19, 32, 84],
-    [32, 84, 89],
-    [4, 32, 84],
-    [6, 44, 66],
-    [44, 66, 89],
-    [4, 44, 66],
-    [64, 81, 88],
-    [64, 80, 81],
-    [80, 81, 88],
-    [64, 80, 88],
-    [19, 81, 88],
-    [19, 80, 88],
-    [2, 81, 88],
-    [2, 64, 88],
-    [19, 36, 81],
-    [36, 81, 88],
-    [2, 36, 81],
-    [0, 80, 88],
-    [0, 64, 88],
-    [19, 32, 80],
-    [32, 80, 88],
-    [0, 32, 80],
-    [40, 64, 88],
-    [2, 40, 64],
-    [0, 40, 64],
-    [39, 55, 87],
-    [38, 39, 87],
-    [38, 39, 55],
-    [38, 55, 87],
-    [15, 39, 55],
-    [7, 38, 55],
-    [23, 38, 39],
-    [35, 53, 86],
-    [34, 35, 86],
-    [34, 35, 53],
-    [34, 53, 86],
-    [13, 35, 53],
-    [5, 34, 53],
-    [23, 34, 35],
-    [37, 51, 85],
-    [36, 37, 85],
-    [36, 37, 51],
-    [36, 51, 85],
-    [14, 37, 51],
-    [6, 36, 51],
-    [19, 36, 37],
-    [33, 49, 84],
-    [32, 33, 84],
-    [32, 33, 49],
-    [32, 49, 84],
-    [12, 33, 49],
-    [4, 32, 49],
-    [19, 32, 33],
-    [39, 54, 83],
-    [38, 39, 54],
-    [38, 39, 83],
-    [38, 54, 83],
-    [11, 39, 54],
-    [3, 38, 54],
-    [35, 52, 82],
-    [34, 35, 52],
-    [34, 35, 82],
-    [34, 52, 82],
-    [9, 35, 52],
-    [1, 34, 52],
-    [37, 50, 81],
-    [36, 37, 50],
-    [36, 37, 81],
-    [36, 50, 81],
-    [10, 37, 50],
-    [2, 36, 50],
-    [33, 48, 80],
-    [32, 33, 48],
-    [32, 33, 80],
-    [32, 48, 80],
-    [8, 33, 48],
-    [0, 32, 48],
-    [31, 47, 79],
-    [31, 46, 47],
-    [46, 47, 79],
-    [31, 46, 79],
-    [20, 46, 47],
-    [15, 31, 47],
-    [14, 31, 46],
-    [29, 43, 78],
-    [29, 42, 78],
-    [42, 43, 78],
-    [29, 42, 43],
-    [20, 42, 43],
-    [11, 29, 43],
-    [10, 29, 42],
-    [27, 45, 77],
-    [27, 44, 45],
-    [27, 44, 77],
-    [44, 45, 77],
-    [16, 44, 45],
-    [7, 27, 45],
-    [6, 27, 44],
-    [25, 41, 76],
-    [25, 40, 76],
-    [25, 40, 41],
-    [40, 41, 76],
-    [16, 40, 41],
-    [3, 25, 41],
-    [2, 25, 40],
-    [30, 47, 75],
-    [30, 46, 47],
-    [46, 47, 75],
-    [30, 46, 75],
-    [13, 30, 47],
-    [12, 30, 46],
-    [28, 43, 74],
-    [28, 42, 74],
-    [42, 43, 74],
-    [28, 42, 43],
-    [9, 28, 43],
-    [8, 28, 42],
-    [26, 45, 73],
-    [26, 44, 45],
-    [26, 44, 73],
-    [44, 45, 73],
-    [5, 26, 45],
-    [4, 26, 44],
-    [24, 41, 72],
-    [24, 40, 72],
-    [24, 40, 41],
-    [40, 41, 72],
-    [1, 24, 41],
-    [0, 24, 40],
-    [31, 47, 71],
-    [30, 31, 47],
-    [30, 47, 71],
-    [30, 31, 71],
-    [21, 30, 31],
-    [27, 45, 70],
-    [26, 27, 70],
-    [26, 45, 70],
-    [26, 27, 45],
-    [21, 26, 27],
-    [29, 43, 69],
-    [28, 29, 43],
-    [28, 43, 69],
-    [28, 29, 69],
-    [17, 28, 29],
-    [25, 41, 68],
-    [24, 25, 68],
-    [24, 41, 68],
-    [24, 25, 41],
-    [17, 24, 25],
-    [31, 46, 67],
-    [30, 31, 46],
-    [30, 46, 67],
-    [30, 31, 67],
-    [27, 44, 66],
-    [26, 27, 66],
-    [26, 44, 66],
-    [26, 27, 44],
-    [29, 42, 65],
-    [28, 29, 42],
-    [28, 42, 65],
-    [28, 29, 65],
-    [25, 40, 64],
-    [24, 25, 64],
-    [24, 40, 64],
-    [24, 25, 40],
-    [39, 55, 63],
-    [39, 54, 63],
-    [54, 55, 63],
-    [39, 54, 55],
-    [22, 54, 55],
-    [37, 51, 62],
-    [37, 50, 62],
-    [50, 51, 62],
-    [37, 50, 51],
-    [22, 50, 51],
-    [35, 53, 61],
-    [35, 52, 61],
-    [52, 53, 61],
-    [35, 52, 53],
-    [18, 52, 53],
-    [33, 49, 60],
-    [33, 48, 60],
-    [48, 49, 60],
-    [33, 48, 49],
-    [18, 48, 49],
-    [38, 54, 55],
-    [38, 55, 59],
-    [54, 55, 59],
-    [38, 54, 59],
-    [36, 50, 51],
-    [36, 51, 58],
-    [50, 51, 58],
-    [36, 50, 58],
-    [34, 52, 53],
-    [34, 53, 57],
-    [52, 53, 57],
-    [34, 52, 57],
-    [32, 48, 49],
-    [32, 49, 56],
-    [48, 49, 56],
-    [32, 48, 56],
-  ],
-  cells: [
-    [0, 1, 2, 3],
-    [4, 5, 6, 1],
-    [7, 3, 8, 9],
-    [10, 11, 6, 12],
-    [13, 14, 12, 8],
-    [15, 0, 16, 17],
-    [18, 19, 20, 15],
-    [21, 4, 22, 18],
-    [17, 23, 24, 25],
-    [7, 23, 26, 27],
-    [28, 29, 30, 31],
-    [32, 33, 34, 28],
-    [31, 35, 36, 37],
-    [34, 20, 38, 39],
-    [36, 24, 39, 40],
-    [41, 42, 29, 43],
-    [44, 45, 10, 41],
-    [46, 45, 22, 32],
-    [43, 47, 13, 48],
-    [35, 48, 26, 49],
-    [50, 2, 51, 52],
-    [53, 54, 55, 50],
-    [56, 5, 57, 53],
-    [52, 58, 59, 60],
-    [9, 58, 61, 62],
-    [63, 64, 65, 66],
-    [67, 68, 69, 63],
-    [66, 70, 71, 72],
-    [69, 55, 73, 74],
-    [71, 59, 74, 75],
-    [76, 77, 64, 78],
-    [79, 80, 11, 76],
-    [81, 80, 57, 67],
-    [78, 82, 14, 83],
-    [70, 83, 61, 84],
-    [85, 86, 87, 88],
-    [89, 90, 91, 86],
-    [92, 88, 93, 94],
-    [95, 91, 96, 97],
-    [98, 93, 97, 99],
-    [100, 101, 85, 102],
-    [103, 104, 105, 100],
-    [106, 104, 107, 89],
-    [102, 108, 109, 110],
-    [110, 92, 111, 112],
-    [113, 114, 115, 116],
-    [117, 118, 119, 113],
-    [116, 120, 121, 122],
-    [123, 105, 119, 124],
-    [125, 109, 124, 121],
-    [126, 115, 127, 128],
-    [129, 130, 95, 126],
-    [131, 118, 107, 130],
-    [128, 132, 98, 133],
-    [122, 132, 111, 134],
-    [135, 136, 87, 137],
-    [138, 139, 140, 135],
-    [141, 139, 142, 90],
-    [137, 143, 144, 145],
-    [145, 94, 146, 147],
-    [148, 149, 150, 151],
-    [152, 153, 154, 148],
-    [151, 155, 156, 157],
-    [158, 140, 154, 159],
-    [160, 144, 159, 156],
-    [161, 150, 162, 163],
-    [164, 165, 96, 161],
-    [166, 153, 142, 165],
-    [163, 167, 99, 168],
-    [157, 167, 146, 169],
-    [170, 171, 172, 173],
-    [174, 175, 176, 171],
-    [177, 173, 178, 179],
-    [180, 181, 176, 182],
-    [183, 184, 182, 178],
-    [185, 170, 186, 187],
-    [188, 189, 190, 185],
-    [191, 174, 192, 188],
-    [187, 193, 194, 195],
-    [177, 193, 196, 197],
-    [198, 199, 200, 201],
-    [202, 203, 204, 198],
-    [201, 205, 206, 207],
-    [204, 190, 208, 209],
-    [206, 194, 209, 210],
-    [211, 42, 199, 212],
-    [213, 214, 180, 211],
-    [215, 214, 192, 202],
-    [212, 216, 183, 217],
-    [205, 217, 196, 218],
-    [219, 172, 220, 221],
-    [222, 223, 224, 219],
-    [225, 175, 226, 222],
-    [221, 227, 228, 229],
-    [179, 227, 230, 231],
-    [232, 233, 234, 235],
-    [236, 237, 238, 232],
-    [235, 239, 240, 241],
-    [238, 224, 242, 243],
-    [240, 228, 243, 244],
-    [245, 77, 233, 246],
-    [247, 248, 181, 245],
-    [249, 248, 226, 236],
-    [246, 250, 184, 251],
-    [239, 251, 230, 252],
-    [253, 254, 255, 256],
-    [257, 258, 259, 254],
-    [260, 256, 261, 262],
-    [263, 259, 264, 265],
-    [266, 261, 265, 267],
-    [268, 269, 253, 270],
-    [271, 272, 273, 268],
-    [274, 272, 275, 257],
-    [270, 276, 277, 278],
-    [278, 260, 279, 280],
-    [281, 282, 283, 284],
-    [285, 286, 287, 281],
-    [284, 288, 289, 290],
-    [291, 273, 287, 292],
-    [293, 277, 292, 289],
-    [294, 283, 127, 295],
-    [296, 297, 263, 294],
-    [298, 286, 275, 297],
-    [295, 299, 266, 300],
-    [290, 299, 279, 301],
-    [302, 303, 255, 304],
-    [305, 306, 307, 302],
-    [308, 306, 309, 258],
-    [304, 310, 311, 312],
-    [312, 262, 313, 314],
-    [315, 316, 317, 318],
-    [319, 320, 321, 315],
-    [318, 322, 323, 324],
-    [325, 307, 321, 326],
-    [327, 311, 326, 323],
-    [328, 317, 162, 329],
-    [330, 331, 264, 328],
-    [332, 320, 309, 331],
-    [329, 333, 267, 334],
-    [324, 333, 313, 335],
-    [336, 337, 338, 339],
-    [340, 341, 342, 337],
-    [343, 338, 344, 345],
-    [346, 347, 348, 342],
-    [349, 348, 350, 344],
-    [336, 351, 352, 353],
-    [354, 355, 340, 356],
-    [356, 357, 351, 358],
-    [343, 359, 360, 361],
-    [359, 352, 362, 363],
-    [364, 365, 366, 367],
-    [368, 369, 370, 366],
-    [371, 372, 364, 373],
-    [374, 346, 368, 375],
-    [376, 354, 375, 371],
-    [367, 377, 378, 379],
-    [370, 349, 380, 381],
-    [378, 360, 381, 382],
-    [373, 357, 383, 384],
-    [377, 383, 362, 385],
-    [339, 386, 387, 388],
-    [389, 390, 341, 391],
-    [391, 392, 386, 393],
-    [345, 394, 395, 396],
-    [394, 387, 397, 398],
-    [399, 400, 401, 402],
-    [403, 404, 405, 401],
-    [406, 407, 399, 408],
-    [409, 347, 403, 410],
-    [411, 389, 410, 406],
-    [402, 412, 413, 414],
-    [405, 350, 415, 416],
-    [413, 395, 416, 417],
-    [408, 392, 418, 419],
-    [412, 418, 397, 420],
-    [421, 422, 423, 424],
-    [425, 426, 422, 427],
-    [428, 424, 429, 430],
-    [431, 432, 427, 433],
-    [434, 433, 430, 435],
-    [436, 437, 438, 421],
-    [439, 440, 441, 425],
-    [442, 443, 437, 441],
-    [444, 428, 445, 446],
-    [447, 438, 448, 444],
-    [449, 450, 451, 452],
-    [453, 454, 452, 455],
-    [456, 457, 458, 449],
-    [459, 431, 460, 453],
-    [461, 440, 457, 460],
-    [462, 451, 463, 464],
-    [455, 434, 465, 466],
-    [464, 446, 467, 465],
-    [468, 443, 469, 458],
-    [470, 469, 448, 462],
-    [471, 472, 473, 423],
-    [474, 475, 476, 426],
-    [477, 478, 472, 476],
-    [479, 429, 480, 481],
-    [482, 473, 483, 479],
-    [484, 485, 486, 487],
-    [488, 489, 487, 490],
-    [491, 492, 493, 484],
-    [494, 432, 495, 488],
-    [496, 475, 492, 495],
-    [497, 486, 498, 499],
-    [490, 435, 500, 501],
-    [499, 481, 502, 500],
-    [503, 478, 504, 493],
-    [505, 504, 483, 497],
-    [506, 507, 508, 509],
-    [510, 511, 512, 507],
-    [513, 508, 514, 515],
-    [516, 517, 518, 512],
-    [519, 518, 520, 514],
-    [506, 521, 522, 523],
-    [524, 525, 510, 526],
-    [526, 527, 521, 528],
-    [513, 529, 530, 531],
-    [529, 522, 532, 533],
-    [534, 535, 536, 537],
-    [538, 369, 539, 536],
-    [540, 541, 534, 542],
-    [543, 516, 538, 544],
-    [545, 524, 544, 540],
-    [537, 546, 547, 548],
-    [539, 519, 549, 550],
-    [547, 530, 550, 551],
-    [542, 527, 552, 553],
-    [546, 552, 532, 554],
-    [509, 555, 556, 557],
-    [558, 559, 511, 560],
-    [560, 561, 555, 562],
-    [515, 563, 564, 565],
-    [563, 556, 566, 567],
-    [568, 569, 570, 571],
-    [572, 404, 573, 570],
-    [574, 575, 568, 576],
-    [577, 517, 572, 578],
-    [579, 558, 578, 574],
-    [571, 580, 581, 582],
-    [573, 520, 583, 584],
-    [581, 564, 584, 585],
-    [576, 561, 586, 587],
-    [580, 586, 566, 588],
-    [589, 590, 591, 592],
-    [593, 594, 590, 595],
-    [596, 592, 597, 598],
-    [599, 600, 595, 601],
-    [602, 601, 598, 603],
-    [604, 605, 606, 589],
-    [607, 608, 609, 593],
-    [610, 611, 605, 609],
-    [612, 596, 613, 614],
-    [615, 606, 616, 612],
-    [617, 618, 619, 620],
-    [621, 454, 620, 622],
-    [623, 624, 625, 617],
-    [626, 599, 627, 621],
-    [628, 608, 624, 627],
-    [629, 619, 630, 631],
-    [622, 602, 632, 633],
-    [631, 614, 634, 632],
-    [635, 611, 636, 625],
-    [637, 636, 616, 629],
-    [638, 639, 640, 591],
-    [641, 642, 643, 594],
-    [644, 645, 639, 643],
-    [646, 597, 647, 648],
-    [649, 640, 650, 646],
-    [651, 652, 653, 654],
-    [655, 489, 654, 656],
-    [657, 658, 659, 651],
-    [660, 600, 661, 655],
-    [662, 642, 658, 661],
-    [663, 653, 664, 665],
-    [656, 603, 666, 667],
-    [665, 648, 668, 666],
-    [669, 645, 670, 659],
-    [671, 670, 650, 663],
-    [672, 16, 673, 674],
-    [675, 51, 673, 676],
-    [677, 678, 679, 680],
-    [372, 681, 677, 682],
-    [541, 683, 679, 684],
-    [685, 686, 681, 21],
-    [687, 686, 683, 56],
-    [688, 680, 689, 690],
-    [691, 688, 692, 672],
-    [682, 19, 693, 691],
-    [694, 690, 695, 675],
-    [684, 54, 696, 694],
-    [697, 698, 699, 700],
-    [701, 702, 697, 456],
-    [703, 704, 699, 623],
-    [27, 705, 702, 706],
-    [62, 705, 704, 707],
-    [708, 709, 710, 698],
-    [674, 711, 712, 708],
-    [25, 711, 713, 701],
-    [676, 714, 715, 709],
-    [60, 714, 716, 703],
-    [717, 186, 718, 719],
-    [720, 220, 718, 721],
-    [722, 723, 724, 725],
-    [407, 726, 722, 727],
-    [575, 728, 724, 729],
-    [730, 731, 726, 191],
-    [732, 731, 728, 225],
-    [733, 725, 734, 735],
-    [736, 733, 737, 717],
-    [727, 189, 738, 736],
-    [739, 735, 740, 720],
-    [729, 223, 741, 739],
-    [742, 743, 744, 745],
-    [746, 747, 742, 491],
-    [748, 749, 744, 657],
-    [197, 750, 747, 751],
-    [231, 750, 749, 752],
-    [753, 754, 755, 743],
-    [719, 756, 757, 753],
-    [195, 756, 758, 746],
-    [721, 759, 760, 754],
-    [229, 759, 761, 748],
-    [762, 763, 101, 764],
-    [765, 763, 136, 766],
-    [767, 768, 769, 770],
-    [379, 767, 771, 772],
-    [548, 769, 773, 774],
-    [775, 771, 776, 106],
-    [777, 773, 776, 141],
-    [778, 770, 689, 779],
-    [778, 780, 781, 762],
-    [772, 780, 782, 103],
-    [779, 783, 784, 765],
-    [774, 783, 785, 138],
-    [786, 787, 788, 789],
-    [790, 786, 791, 463],
-    [792, 788, 793, 630],
-    [112, 791, 794, 795],
-    [147, 793, 794, 796],
-    [797, 798, 710, 787],
-    [764, 797, 799, 800],
-    [800, 108, 801, 790],
-    [766, 798, 802, 803],
-    [803, 143, 804, 792],
-    [805, 806, 269, 807],
-    [808, 806, 303, 809],
-    [810, 811, 812, 813],
-    [414, 810, 814, 815],
-    [582, 812, 816, 817],
-    [818, 814, 819, 274],
-    [820, 816, 819, 308],
-    [821, 813, 734, 822],
-    [821, 823, 824, 805],
-    [815, 823, 825, 271],
-    [822, 826, 827, 808],
-    [817, 826, 828, 305],
-    [829, 830, 831, 832],
-    [833, 829, 834, 498],
-    [835, 831, 836, 664],
-    [280, 834, 837, 838],
-    [314, 836, 837, 839],
-    [840, 841, 755, 830],
-    [807, 840, 842, 843],
-    [843, 276, 844, 833],
-    [809, 841, 845, 846],
-    [846, 310, 847, 835],
-    [353, 848, 849, 850],
-    [388, 851, 849, 852],
-    [853, 854, 855, 856],
-    [857, 855, 858, 859],
-    [860, 33, 861, 853],
-    [862, 848, 857, 863],
-    [358, 864, 861, 862],
-    [865, 203, 866, 854],
-    [867, 851, 858, 868],
-    [393, 869, 866, 867],
-    [355, 870, 871, 860],
-    [390, 872, 871, 865],
-    [873, 874, 875, 876],
-    [877, 878, 875, 879],
-    [880, 873, 881, 117],
-    [850, 882, 877, 883],
-    [363, 882, 881, 884],
-    [885, 874, 886, 285],
-    [852, 887, 878, 888],
-    [398, 887, 886, 889],
-    [361, 890, 891, 880],
-    [396, 890, 892, 885],
-    [523, 893, 894, 895],
-    [557, 896, 894, 897],
-    [898, 899, 900, 901],
-    [902, 900, 903, 904],
-    [905, 68, 906, 898],
-    [907, 893, 902, 908],
-    [528, 909, 906, 907],
-    [910, 237, 911, 899],
-    [912, 896, 903, 913],
-    [562, 914, 911, 912],
-    [525, 915, 916, 905],
-    [559, 917, 916, 910],
-    [918, 919, 920, 921],
-    [922, 923, 920, 924],
-    [925, 918, 926, 152],
-    [895, 927, 922, 928],
-    [533, 927, 926, 929],
-    [930, 919, 931, 319],
-    [897, 932, 923, 933],
-    [567, 932, 931, 934],
-    [531, 935, 936, 925],
-    [565, 935, 937, 930],
-    [938, 939, 940, 436],
-    [941, 942, 940, 471],
-    [943, 944, 945, 946],
-    [947, 945, 859, 948],
-    [37, 943, 949, 950],
-    [951, 952, 947, 938],
-    [953, 952, 949, 442],
-    [207, 946, 954, 955],
-    [956, 957, 948, 941],
-    [958, 957, 954, 477],
-    [950, 959, 960, 439],
-    [955, 961, 960, 474],
-    [962, 963, 964, 965],
-    [966, 967, 879, 964],
-    [962, 120, 968, 969],
-    [970, 939, 966, 971],
-    [971, 972, 968, 447],
-    [965, 288, 973, 974],
-    [975, 942, 967, 976],
-    [976, 977, 973, 482],
-    [969, 978, 979, 445],
-    [974, 978, 980, 480],
-    [981, 982, 983, 604],
-    [984, 985, 983, 638],
-    [986, 987, 988, 989],
-    [990, 988, 904, 991],
-    [72, 986, 992, 993],
-    [994, 995, 990, 981],
-    [996, 995, 992, 610],
-    [241, 989, 997, 998],
-    [999, 1000, 991, 984],
-    [1001, 1000, 997, 644],
-    [993, 1002, 1003, 607],
-    [998, 1004, 1003, 641],
-    [1005, 1006, 1007, 1008],
-    [1009, 1010, 924, 1007],
-    [1005, 155, 1011, 1012],
-    [1013, 982, 1009, 1014],
-    [1014, 1015, 1011, 615],
-    [1008, 322, 1016, 1017],
-    [1018, 985, 1010, 1019],
-    [1019, 1020, 1016, 649],
-    [1012, 1021, 1022, 613],
-    [1017, 1021, 1023, 647],
-    [30, 856, 200, 944],
-    [1024, 1025, 1026, 1027],
-    [864, 1028, 38, 1024],
-    [1027, 953, 40, 1029],
-    [863, 1025, 1030, 951],
-    [1031, 1032, 1033, 1034],
-    [869, 1035, 208, 1031],
-    [1034, 958, 210, 1036],
-    [868, 1032, 1037, 956],
-    [65, 901, 234, 987],
-    [1038, 1039, 1040, 1041],
-    [909, 1042, 73, 1038],
-    [1041, 996, 75, 1043],
-    [908, 1039, 1044, 994],
-    [1045, 1046, 1047, 1048],
-    [914, 1049, 242, 1045],
-    [1048, 1001, 244, 1050],
-    [913, 1046, 1051, 999],
-    [114, 876, 282, 963],
-    [1052, 1053, 1054, 1055],
-    [1056, 884, 123, 1052],
-    [1055, 1057, 125, 972],
-    [883, 1030, 1054, 970],
-    [1058, 1059, 1060, 1061],
-    [1062, 889, 291, 1058],
-    [1061, 1063, 293, 977],
-    [888, 1037, 1060, 975],
-    [149, 921, 316, 1006],
-    [1064, 1065, 1066, 1067],
-    [1068, 929, 158, 1064],
-    [1067, 1069, 160, 1015],
-    [928, 1044, 1066, 1013],
-    [1070, 1071, 1072, 1073],
-    [1074, 934, 325, 1070],
-    [1073, 1075, 327, 1020],
-    [933, 1051, 1072, 1018],
-    [365, 678, 535, 768],
-    [1076, 1077, 1078, 1079],
-    [374, 1080, 543, 1078],
-    [1076, 1081, 376, 685],
-    [1079, 1082, 545, 687],
-    [1083, 1084, 1085, 1086],
-    [380, 549, 1087, 1085],
-    [382, 775, 1083, 1088],
-    [551, 777, 1084, 1089],
-    [450, 700, 789, 618],
-    [1090, 1091, 1092, 1093],
-    [459, 1094, 1093, 626],
-    [1095, 1090, 706, 461],
-    [1096, 1092, 707, 628],
-    [1097, 1098, 1099, 1100],
-    [466, 633, 1100, 1101],
-    [795, 467, 1102, 1097],
-    [796, 634, 1103, 1098],
-    [400, 723, 569, 811],
-    [1104, 1105, 1106, 1107],
-    [409, 1080, 577, 1106],
-    [1104, 1108, 411, 730],
-    [1107, 1109, 579, 732],
-    [1110, 1111, 1112, 1113],
-    [415, 583, 1087, 1112],
-    [417, 818, 1110, 1114],
-    [585, 820, 1111, 1115],
-    [485, 745, 832, 652],
-    [1116, 1117, 1118, 1119],
-    [494, 1094, 1119, 660],
-    [1120, 1116, 751, 496],
-    [1121, 1118, 752, 662],
-    [1122, 1123, 1124, 1125],
-    [501, 667, 1125, 1101],
-    [838, 502, 1126, 1122],
-    [839, 668, 1127, 1123],
-    [1128, 1129, 1130, 1131],
-    [1081, 1128, 870, 46],
-    [1108, 1130, 872, 215],
-    [44, 1131, 1132, 213],
-    [1133, 1134, 1135, 1136],
-    [49, 1133, 959, 1095],
-    [218, 1135, 961, 1120],
-    [47, 216, 1137, 1134],
-    [1138, 1139, 1140, 1141],
-    [1088, 891, 1138, 131],
-    [1114, 892, 1140, 298],
-    [129, 1141, 1142, 296],
-    [1143, 1144, 1145, 1146],
-    [134, 979, 1143, 1102],
-    [301, 980, 1145, 1126],
-    [133, 300, 1147, 1144],
-    [1148, 1149, 1150, 1151],
-    [1082, 1148, 915, 81],
-    [1109, 1150, 917, 249],
-    [79, 1151, 1132, 247],
-    [1152, 1153, 1154, 1155],
-    [84, 1152, 1002, 1096],
-    [252, 1154, 1004, 1121],
-    [82, 250, 1137, 1153],
-    [1156, 1157, 1158, 1159],
-    [1089, 936, 1156, 166],
-    [1115, 937, 1158, 332],
-    [164, 1159, 1142, 330],
-    [1160, 1161, 1162, 1163],
-    [169, 1022, 1160, 1103],
-    [335, 1023, 1162, 1127],
-    [168, 334, 1147, 1161],
-    [1164, 1165, 1166, 1167],
-    [692, 1166, 781, 1168],
-    [384, 1028, 693, 1164],
-    [385, 1165, 782, 1056],
-    [1169, 1170, 1171, 1172],
-    [695, 1171, 784, 1173],
-    [553, 1042, 696, 1169],
-    [554, 1170, 785, 1068],
-    [1174, 1175, 1176, 1177],
-    [737, 1176, 824, 1178],
-    [419, 1035, 738, 1174],
-    [420, 1175, 825, 1062],
-    [1179, 1180, 1181, 1182],
-    [740, 1181, 827, 1183],
-    [587, 1049, 741, 1179],
-    [588, 1180, 828, 1074],
-    [1184, 1185, 1186, 1187],
-    [712, 1186, 1168, 799],
-    [1029, 1185, 713, 468],
-    [1187, 1057, 801, 470],
-    [1188, 1189, 1190, 1191],
-    [715, 1190, 1173, 802],
-    [1043, 1189, 716, 635],
-    [1191, 1069, 804, 637],
-    [1192, 1193, 1194, 1195],
-    [757, 1194, 1178, 842],
-    [1036, 1193, 758, 503],
-    [1195, 1063, 844, 505],
-    [1196, 1197, 1198, 1199],
-    [760, 1198, 1183, 845],
-    [1050, 1197, 761, 669],
-    [1199, 1075, 847, 671],
-    [1167, 1026, 1053, 1184],
-    [1177, 1033, 1059, 1192],
-    [1172, 1040, 1065, 1188],
-    [1182, 1047, 1071, 1196],
-    [1129, 1077, 1105, 1149],
-    [1136, 1091, 1155, 1117],
-    [1139, 1086, 1113, 1157],
-    [1146, 1099, 1163, 1124],
-  ],
-}
@@ -0,0 +1,78 @@
+import { createGrid, crossedEdges, edgeKey, kuhnSimplices } from '../helpers'
+
+const simplices = kuhnSimplices(4)
+
+export const generateImplicitHyperSurface = (
+  f,
+  bounds = [-1, 1],
+  resolution = 8
+) => {
+  const {
+    count,
+    point,
+    corners: cubeCorners,
+  } = createGrid(bounds, resolution, 4)
+  const values = new Float64Array(count)
+  values.forEach((_, index) => (values[index] = f(...point(index))))
+
+  const vertices = []
+  const vertexIndices = new Map()
+  // The surface crosses the grid edge a b where f changes sign
+  const vertex = ([a, b]) => {
+    const key = edgeKey(a, b)
+    if (!vertexIndices.has(key)) {
+      const t = values[a] / (values[a] - values[b])
+      const p = point(a)
+      const q = point(b)
+      vertexIndices.set(key, vertices.length)
+      vertices.push(p.map((c, i) => c + t * (q[i] - c)))
+    }
+    return vertexIndices.get(key)
+  }
+
+  const faces = []
+  const faceIndices = new Map()
+  // Surface polygon inside a tetrahedron of the grid triangulation
+  const face = tetrahedron => {
+    const edges = crossedEdges(tetrahedron, values)
+    if (!edges) {
+      return null
+    }
+    const polygon = edges.map(vertex)
+    const key = polygon
+      .slice()
+      .sort((a, b) => a - b)
+      .join(',')
+    if (!faceIndices.has(key)) {
+      faceIndices.set(key, faces.length)
+      faces.push(polygon)
+    }
+    return faceIndices.get(key)
+  }
+
+  const cells = []
+  for (let origin = 0; origin < count; origin++) {
+    const corners = cubeCorners(origin)
+    if (
+      !corners ||
+      corners.every(a => values[a] < 0) ||
+      corners.every(a => values[a] >= 0)
+    ) {
+      continue
+    }
+    simplices.forEach(simplex => {
+      const cell = simplex
+        .map((_, i) =>
+          face(simplex.filter((_, j) => j !== i).map(corner => corners[corner]))
+        )
+        .filter(index => index !== null)
+      cell.length && cells.push(cell)
+    })
+  }
+
+  return {
+    vertices,
+    faces,
+    cells,
+  }
+}
@@ -26,31 +26,56 @@ import octahedralBiPyramid, {
   generateOctahedraloidBiPyramid,
 } from './octahedral-bi-pyramid'
 import grandAntiPrism from './grand-anti-prism'
-import hecatonicosachoron from './hecatonicosachoron'
-import hecatonicosachoronCantellated from './hecatonicosachoron-cantellated'
-import hecatonicosachoronCantitruncated from './hecatonicosachoron-cantitruncated'
-import hecatonicosachoronRectified from './hecatonicosachoron-rectified'
-import hecatonicosachoronRuncinated from './hecatonicosachoron-runcinated'
-import hecatonicosachoronRuncitruncated from './hecatonicosachoron-runcitruncated'
-import hecatonicosachoronOmnitruncated from './hecatonicosachoron-omnitruncated'
-import hecatonicosachoronTruncated from './hecatonicosachoron-truncated'
-import hexacosichoron from './hexacosichoron'
-import hexacosichoronBittruncated from './hexacosichoron-bittruncated'
-import hexacosichoronCantellated from './hexacosichoron-cantellated'
-import hexacosichoronCantitruncated from './hexacosichoron-cantitruncated'
-import hexacosichoronRectified from './hexacosichoron-rectified'
-import hexacosichoronRuncitruncated from './hexacosichoron-runcitruncated'
-import hexacosichoronOmnitruncated from './hexacosichoron-omnitruncated'
-import hexacosichoronTruncated from './hexacosichoron-truncated'
+import { prism, pyramid, bipyramid, antiprism } from './lifts'
+import * as polyhedra from './polyhedra'
+import {
+  cartesianProduct,
+  generateSegment,
+  generatePolygon,
+  generateUVCurve,
+} from './products'
+import duoprism, {
+  duoantiprism,
+  generateDuoprism,
+  generateDuoantiprism,
+} from './duoprisms'
+import {
+  generateWythoff,
+  hecatonicosachoron,
+  hecatonicosachoronCantellated,
+  hecatonicosachoronCantitruncated,
+  hecatonicosachoronRectified,
+  hecatonicosachoronRuncinated,
+  hecatonicosachoronRuncitruncated,
+  hecatonicosachoronOmnitruncated,
+  hecatonicosachoronTruncated,
+  hexacosichoron,
+  hexacosichoronBittruncated,
+  hexacosichoronCantellated,
+  hexacosichoronCantitruncated,
+  hexacosichoronRectified,
+  hexacosichoronRuncitruncated,
+  hexacosichoronOmnitruncated,
+  hexacosichoronTruncated,
+} from './wythoff'
 import icositetrachoron from './icositetrachoron'
 import buckyBallPyramid from './buckyball-pyramid'
 import minkowskiSumOfTesseractAndHexadecachoron from './minkowski-sum-of-tesseract-and-hexadecachoron'
-import permutahedronA, { permutahedronAIrregular } from './permutahedron-a'
-import permutahedronB, { permutahedronBIrregular } from './permutahedron-b'
-import permutahedronC, { permutahedronCIrregular } from './permutahedron-c'
-import permutahedronD, { permutahedronDIrregular } from './permutahedron-d'
-import permutahedronF, { permutahedronFIrregular } from './permutahedron-f'
-import permutahedronH, { permutahedronHIrregular } from './permutahedron-h'
+import {
+  generatePermutahedron,
+  permutahedronA,
+  permutahedronAIrregular,
+  permutahedronB,
+  permutahedronBIrregular,
+  permutahedronC,
+  permutahedronCIrregular,
+  permutahedronD,
+  permutahedronDIrregular,
+  permutahedronF,
+  permutahedronFIrregular,
+  permutahedronH,
+  permutahedronHIrregular,
+} from './permutahedron'
 import crossTorus, {
   flatTorus,
   duoCylinder,
@@ -73,6 +98,7 @@ import crossHyperSurface, {
   generateDiTorus,
   generateUVWHyperSurface,
 } from './uvw-hypersurfaces'
+import { generateImplicitHyperSurface } from './implicit-hypersurfaces'
 
 export {
   tesseract,
@@ -88,6 +114,8 @@ export {
   octahedraloidPyramid,
   octahedraloidBiPyramid,
   grandAntiPrism,
+  duoprism,
+  duoantiprism,
   hecatonicosachoron,
   hecatonicosachoronCantellated,
   hecatonicosachoronCantitruncated,
@@ -146,9 +174,23 @@ export {
   generateUVSurface,
   generateFlatTorus,
   generateDuoCylinder,
+  generateDuoprism,
+  generateDuoantiprism,
   generateGlome,
   generateDiTorus,
   generateUVWHyperSurface,
+  generateImplicitHyperSurface,
+  generateWythoff,
+  generatePermutahedron,
+  prism,
+  pyramid,
+  bipyramid,
+  antiprism,
+  polyhedra,
+  cartesianProduct,
+  generateSegment,
+  generatePolygon,
+  generateUVCurve,
   // Aliases
   pentachoron as n5cell,
   tesseract as n8cell,
@@ -0,0 +1,141 @@
+import {
+  add,
+  centroid,
+  convexHull4D,
+  dot,
+  edgeKey,
+  norm,
+  normalize,
+  scale,
+  sub,
+} from '../helpers'
+
+const edgesOf = faces => {
+  const edges = new Map()
+  faces.forEach(face =>
+    face.forEach((a, i) => {
+      const b = face[(i + 1) % face.length]
+      edges.has(edgeKey(a, b)) || edges.set(edgeKey(a, b), [a, b])
+    })
+  )
+  return [...edges.values()]
+}
+
+// Map each edge of the polyhedron to the index of the face built on it
+const edgeFaces = (faces, build) => {
+  const indices = new Map()
+  edgesOf(faces).forEach(([a, b]) => indices.set(edgeKey(a, b), build(a, b)))
+  return (a, b) => indices.get(edgeKey(a, b))
+}
+
+export const prism = ({ vertices, faces }, height = 1) => {
+  const n = vertices.length
+  const prismFaces = [...faces, ...faces.map(face => face.map(i => i + n))]
+  const square = edgeFaces(faces, (a, b) => {
+    prismFaces.push([a, b, b + n, a + n])
+    return prismFaces.length - 1
+  })
+  return {
+    vertices: [
+      ...vertices.map(([x, y, z]) => [x, y, z, -height / 2]),
+      ...vertices.map(([x, y, z]) => [x, y, z, height / 2]),
+    ],
+    faces: prismFaces,
+    cells: [
+      faces.map((_, i) => i),
+      faces.map((_, i) => i + faces.length),
+      ...faces.map((face, i) => [
+        i,
+        ...face.map((a, j) => square(a, face[(j + 1) % face.length])),
+        i + faces.length,
+      ]),
+    ],
+  }
+}
+
+export const pyramid = ({ vertices, faces }, apexW = 1) => {
+  const apex = vertices.length
+  const pyramidFaces = faces.slice()
+  const triangle = edgeFaces(faces, (a, b) => {
+    pyramidFaces.push([a, b, apex])
+    return pyramidFaces.length - 1
+  })
+  return {
+    vertices: [
+      ...vertices.map(([x, y, z]) => [x, y, z, 0]),
+      [...centroid(vertices), apexW],
+    ],
+    faces: pyramidFaces,
+    cells: [
+      faces.map((_, i) => i),
+      ...faces.map((face, i) => [
+        i,
+        ...face.map((a, j) => triangle(a, face[(j + 1) % face.length])),
+      ]),
+    ],
+  }
+}
+
+export const bipyramid = ({ vertices, faces }, apexW = 1) => {
+  const [wmin, wmax] = Array.isArray(apexW) ? apexW : [-apexW, apexW]
+  const apexes = [vertices.length, vertices.length + 1]
+  const bipyramidFaces = faces.slice()
+  const triangles = apexes.map(apex =>
+    edgeFaces(faces, (a, b) => {
+      bipyramidFaces.push([a, b, apex])
+      return bipyramidFaces.length - 1
+    })
+  )
+  const center = centroid(vertices)
+  return {
+    vertices: [
+      ...vertices.map(([x, y, z]) => [x, y, z, 0]),
+      [...center, wmin],
+      [...center, wmax],
+    ],
+    faces: bipyramidFaces,
+    cells: triangles
+      .map(triangle =>
+        faces.map((face, i) => [
+          i,
+          ...face.map((a, j) => triangle(a, face[(j + 1) % face.length])),
+        ])
+      )
+      .flat(),
+  }
+}
+
+// The antiprism joins the polyhedron to its polar dual taken
+// with respect to its (approximate) midsphere
+export const antiprism = ({ vertices, faces }, height = 1) => {
+  const center = centroid(vertices)
+  const edges = edgesOf(faces)
+  const midradius =
+    edges.reduce(
+      (s, [a, b]) =>
+        s + norm(sub(scale(add(vertices[a], vertices[b]), 0.5), center)),
+      0
+    ) / edges.length
+  const dualVertices = faces.map(face => {
+    // Newell normal of the face
+    let normal = [0, 0, 0]
+    face.forEach((a, i) => {
+      const [x1, y1, z1] = vertices[a]
+      const [x2, y2, z2] = vertices[face[(i + 1) % face.length]]
+      normal = [
+        normal[0] + (y1 - y2) * (z1 + z2),
+        normal[1] + (z1 - z2) * (x1 + x2),
+        normal[2] + (x1 - x2) * (y1 + y2),
+      ]
+    })
+    normal = normalize(normal)
+    const distance = dot(normal, sub(vertices[face[0]], center))
+    return scale(normal, (midradius * midradius) / distance).map(
+      (c, i) => c + center[i]
+    )
+  })
+  return convexHull4D([
+    ...vertices.map(([x, y, z]) => [x, y, z, -height / 2]),
+    ...dualVertices.map(([x, y, z]) => [x, y, z, height / 2]),
+  ])
+}
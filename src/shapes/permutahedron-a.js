@@ -1,617 +0,0 @@
-export const permutahedronAIrregular = {
-  vertices: [
-    [-1.0, -1.5, -1.5, -1.0],
-    [-1.0, -1.5, -1.5, -0.5],
-    [-1.0, -1.5, -1.0, -1.0],
-    [-1.0, -1.5, -1.0, 0.0],
-    [-1.0, -1.5, -0.5, -0.5],
-    [-1.0, -1.5, -0.5, 0.0],
-    [-1.0, -1.0, -1.5, -1.0],
-    [-1.0, -1.0, -1.5, -0.5],
-    [-1.0, -1.0, -0.5, -1.0],
-    [-1.0, -1.0, -0.5, 0.5],
-    [-1.0, -1.0, 0.0, -0.5],
-    [-1.0, -1.0, 0.0, 0.5],
-    [-1.0, -0.5, -1.0, -1.0],
-    [-1.0, -0.5, -1.0, 0.0],
-    [-1.0, -0.5, -0.5, -1.0],
-    [-1.0, -0.5, -0.5, 0.5],
-    [-1.0, -0.5, 0.5, 0.0],
-    [-1.0, -0.5, 0.5, 0.5],
-    [-1.0, 0.0, -0.5, -0.5],
-    [-1.0, 0.0, -0.5, 0.0],
-    [-1.0, 0.0, 0.0, -0.5],
-    [-1.0, 0.0, 0.0, 0.5],
-    [-1.0, 0.0, 0.5, 0.0],
-    [-1.0, 0.0, 0.5, 0.5],
-    [-0.5, -1.5, -1.5, -1.0],
-    [-0.5, -1.5, -1.5, -0.5],
-    [-0.5, -1.5, -1.0, -1.0],
-    [-0.5, -1.5, -1.0, 0.0],
-    [-0.5, -1.5, -0.5, -0.5],
-    [-0.5, -1.5, -0.5, 0.0],
-    [-0.5, -0.5, -1.5, -1.0],
-    [-0.5, -0.5, -1.5, -0.5],
-    [-0.5, -0.5, 0.0, -1.0],
-    [-0.5, -0.5, 0.0, 1.0],
-    [-0.5, -0.5, 0.5, -0.5],
-    [-0.5, -0.5, 0.5, 1.0],
-    [-0.5, 0.0, -1.0, -1.0],
-    [-0.5, 0.0, -1.0, 0.0],
-    [-0.5, 0.0, 0.0, -1.0],
-    [-0.5, 0.0, 0.0, 1.0],
-    [-0.5, 0.0, 1.0, 0.0],
-    [-0.5, 0.0, 1.0, 1.0],
-    [-0.5, 0.5, -0.5, -0.5],
-    [-0.5, 0.5, -0.5, 0.0],
-    [-0.5, 0.5, 0.5, -0.5],
-    [-0.5, 0.5, 0.5, 1.0],
-    [-0.5, 0.5, 1.0, 0.0],
-    [-0.5, 0.5, 1.0, 1.0],
-    [0.0, -1.0, -1.5, -1.0],
-    [0.0, -1.0, -1.5, -0.5],
-    [0.0, -1.0, -0.5, -1.0],
-    [0.0, -1.0, -0.5, 0.5],
-    [0.0, -1.0, 0.0, -0.5],
-    [0.0, -1.0, 0.0, 0.5],
-    [0.0, -0.5, -1.5, -1.0],
-    [0.0, -0.5, -1.5, -0.5],
-    [0.0, -0.5, 0.0, -1.0],
-    [0.0, -0.5, 0.0, 1.0],
-    [0.0, -0.5, 0.5, -0.5],
-    [0.0, -0.5, 0.5, 1.0],
-    [0.0, 0.5, -0.5, -1.0],
-    [0.0, 0.5, -0.5, 0.5],
-    [0.0, 0.5, 0.0, -1.0],
-    [0.0, 0.5, 0.0, 1.0],
-    [0.0, 0.5, 1.5, 0.5],
-    [0.0, 0.5, 1.5, 1.0],
-    [0.0, 1.0, 0.0, -0.5],
-    [0.0, 1.0, 0.0, 0.5],
-    [0.0, 1.0, 0.5, -0.5],
-    [0.0, 1.0, 0.5, 1.0],
-    [0.0, 1.0, 1.5, 0.5],
-    [0.0, 1.0, 1.5, 1.0],
-    [0.5, -0.5, -1.0, -1.0],
-    [0.5, -0.5, -1.0, 0.0],
-    [0.5, -0.5, -0.5, -1.0],
-    [0.5, -0.5, -0.5, 0.5],
-    [0.5, -0.5, 0.5, 0.0],
-    [0.5, -0.5, 0.5, 0.5],
-    [0.5, 0.0, -1.0, -1.0],
-    [0.5, 0.0, -1.0, 0.0],
-    [0.5, 0.0, 0.0, -1.0],
-    [0.5, 0.0, 0.0, 1.0],
-    [0.5, 0.0, 1.0, 0.0],
-    [0.5, 0.0, 1.0, 1.0],
-    [0.5, 0.5, -0.5, -1.0],
-    [0.5, 0.5, -0.5, 0.5],
-    [0.5, 0.5, 0.0, -1.0],
-    [0.5, 0.5, 0.0, 1.0],
-    [0.5, 0.5, 1.5, 0.5],
-    [0.5, 0.5, 1.5, 1.0],
-    [0.5, 1.5, 0.5, 0.0],
-    [0.5, 1.5, 0.5, 0.5],
-    [0.5, 1.5, 1.0, 0.0],
-    [0.5, 1.5, 1.0, 1.0],
-    [0.5, 1.5, 1.5, 0.5],
-    [0.5, 1.5, 1.5, 1.0],
-    [1.0, 0.0, -0.5, -0.5],
-    [1.0, 0.0, -0.5, 0.0],
-    [1.0, 0.0, 0.0, -0.5],
-    [1.0, 0.0, 0.0, 0.5],
-    [1.0, 0.0, 0.5, 0.0],
-    [1.0, 0.0, 0.5, 0.5],
-    [1.0, 0.5, -0.5, -0.5],
-    [1.0, 0.5, -0.5, 0.0],
-    [1.0, 0.5, 0.5, -0.5],
-    [1.0, 0.5, 0.5, 1.0],
-    [1.0, 0.5, 1.0, 0.0],
-    [1.0, 0.5, 1.0, 1.0],
-    [1.0, 1.0, 0.0, -0.5],
-    [1.0, 1.0, 0.0, 0.5],
-    [1.0, 1.0, 0.5, -0.5],
-    [1.0, 1.0, 0.5, 1.0],
-    [1.0, 1.0, 1.5, 0.5],
-    [1.0, 1.0, 1.5, 1.0],
-    [1.0, 1.5, 0.5, 0.0],
-    [1.0, 1.5, 0.5, 0.5],
-    [1.0, 1.5, 1.0, 0.0],
-    [1.0, 1.5, 1.0, 1.0],
-    [1.0, 1.5, 1.5, 0.5],
-    [1.0, 1.5, 1.5, 1.0],
-  ],
-  faces: [
-    [82, 88, 112, 106],
-    [77, 83, 107, 101],
-    [76, 77, 101, 100],
-    [76, 82, 106, 100],
-    [76, 77, 83, 89, 88, 82],
-    [88, 89, 113, 112],
-    [83, 89, 113, 107],
-    [100, 101, 107, 113, 112, 106],
-    [52, 58, 82, 76],
-    [74, 80, 104, 98],
-    [50, 52, 76, 100, 98, 74],
-    [50, 56, 80, 74],
-    [50, 52, 58, 56],
-    [98, 100, 106, 104],
-    [56, 58, 82, 106, 104, 80],
-    [79, 85, 109, 103],
-    [60, 66, 90, 114, 108, 84],
-    [42, 43, 67, 91, 90, 66],
-    [78, 84, 108, 102],
-    [30, 36, 60, 84, 78, 54],
-    [31, 37, 61, 85, 79, 55],
-    [37, 43, 67, 61],
-    [54, 55, 79, 103, 102, 78],
-    [30, 31, 55, 54],
-    [36, 42, 66, 60],
-    [30, 31, 37, 43, 42, 36],
-    [90, 91, 115, 114],
-    [61, 67, 91, 115, 109, 85],
-    [102, 103, 109, 115, 114, 108],
-    [60, 62, 86, 84],
-    [84, 86, 110, 108],
-    [66, 68, 92, 90],
-    [60, 62, 68, 66],
-    [108, 110, 116, 114],
-    [90, 92, 116, 114],
-    [62, 68, 92, 116, 110, 86],
-    [73, 75, 99, 97],
-    [28, 29, 53, 77, 76, 52],
-    [72, 74, 98, 96],
-    [24, 26, 50, 74, 72, 48],
-    [25, 27, 51, 75, 73, 49],
-    [27, 29, 53, 51],
-    [48, 49, 73, 97, 96, 72],
-    [24, 25, 49, 48],
-    [26, 28, 52, 50],
-    [24, 25, 27, 29, 28, 26],
-    [51, 53, 77, 101, 99, 75],
-    [96, 97, 99, 101, 100, 98],
-    [75, 81, 105, 99],
-    [73, 79, 103, 97],
-    [73, 75, 81, 87, 85, 79],
-    [85, 87, 111, 109],
-    [81, 87, 111, 105],
-    [97, 99, 105, 111, 109, 103],
-    [0, 1, 25, 24],
-    [6, 7, 31, 30],
-    [0, 6, 30, 54, 48, 24],
-    [0, 1, 7, 6],
-    [48, 49, 55, 54],
-    [1, 7, 31, 55, 49, 25],
-    [49, 55, 79, 73],
-    [72, 78, 102, 96],
-    [48, 54, 78, 72],
-    [96, 97, 103, 102],
-    [12, 14, 38, 62, 60, 36],
-    [2, 8, 32, 56, 50, 26],
-    [8, 14, 38, 32],
-    [0, 2, 26, 24],
-    [6, 12, 36, 30],
-    [0, 2, 8, 14, 12, 6],
-    [32, 38, 62, 86, 80, 56],
-    [72, 74, 80, 86, 84, 78],
-    [67, 69, 93, 91],
-    [44, 46, 70, 94, 92, 68],
-    [22, 23, 47, 71, 70, 46],
-    [18, 20, 44, 68, 66, 42],
-    [19, 21, 45, 69, 67, 43],
-    [21, 23, 47, 45],
-    [18, 19, 43, 42],
-    [20, 22, 46, 44],
-    [18, 19, 21, 23, 22, 20],
-    [70, 71, 95, 94],
-    [45, 47, 71, 95, 93, 69],
-    [90, 91, 93, 95, 94, 92],
-    [17, 23, 47, 41],
-    [40, 46, 70, 64],
-    [16, 17, 41, 65, 64, 40],
-    [16, 22, 46, 40],
-    [16, 17, 23, 22],
-    [64, 65, 71, 70],
-    [41, 47, 71, 65],
-    [51, 57, 81, 75],
-    [13, 15, 39, 63, 61, 37],
-    [3, 9, 33, 57, 51, 27],
-    [9, 15, 39, 33],
-    [1, 3, 27, 25],
-    [7, 13, 37, 31],
-    [1, 3, 9, 15, 13, 7],
-    [61, 63, 87, 85],
-    [33, 39, 63, 87, 81, 57],
-    [80, 86, 110, 104],
-    [96, 98, 104, 110, 108, 102],
-    [15, 21, 45, 39],
-    [11, 17, 41, 35],
-    [9, 11, 35, 33],
-    [9, 11, 17, 23, 21, 15],
-    [33, 35, 41, 47, 45, 39],
-    [14, 20, 44, 38],
-    [12, 18, 42, 36],
-    [12, 14, 20, 18],
-    [38, 44, 68, 62],
-    [13, 19, 43, 37],
-    [13, 15, 21, 19],
-    [61, 63, 69, 67],
-    [39, 45, 69, 63],
-    [2, 4, 28, 26],
-    [8, 10, 34, 32],
-    [2, 4, 10, 8],
-    [32, 34, 58, 56],
-    [4, 10, 34, 58, 52, 28],
-    [53, 59, 83, 77],
-    [34, 40, 64, 88, 82, 58],
-    [5, 11, 35, 59, 53, 29],
-    [4, 5, 29, 28],
-    [10, 16, 40, 34],
-    [4, 5, 11, 17, 16, 10],
-    [64, 65, 89, 88],
-    [35, 41, 65, 89, 83, 59],
-    [8, 10, 16, 22, 20, 14],
-    [32, 34, 40, 46, 44, 38],
-    [0, 1, 3, 5, 4, 2],
-    [3, 5, 29, 27],
-    [3, 5, 11, 9],
-    [6, 7, 13, 19, 18, 12],
-    [51, 53, 59, 57],
-    [33, 35, 59, 57],
-    [99, 101, 107, 105],
-    [57, 59, 83, 107, 105, 81],
-    [109, 111, 117, 115],
-    [91, 93, 117, 115],
-    [63, 69, 93, 117, 111, 87],
-    [92, 94, 118, 116],
-    [64, 70, 94, 118, 112, 88],
-    [104, 106, 112, 118, 116, 110],
-    [93, 95, 119, 117],
-    [65, 71, 95, 119, 113, 89],
-    [105, 107, 113, 119, 117, 111],
-    [112, 113, 119, 118],
-    [94, 95, 119, 118],
-    [114, 115, 117, 119, 118, 116],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7],
-    [8, 9, 10, 11, 12, 13, 3, 14],
-    [15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28],
-    [29, 30, 31, 16, 32, 33, 34, 35],
-    [36, 10, 37, 38, 39, 40, 41, 42, 43, 44, 45, 2, 46, 47],
-    [15, 48, 36, 49, 50, 51, 52, 53],
-    [54, 43, 55, 56, 57, 58, 23, 59],
-    [60, 61, 42, 62, 58, 63, 49, 22],
-    [11, 19, 64, 62, 56, 65, 66, 39, 67, 68, 69, 29, 70, 71],
-    [72, 73, 74, 31, 75, 76, 77, 17, 78, 79, 80, 81, 82, 83],
-    [84, 85, 86, 87, 88, 89, 90, 74],
-    [91, 20, 92, 60, 59, 93, 94, 40, 95, 96, 97, 98, 99, 50],
-    [18, 9, 38, 61, 71, 30, 100, 101],
-    [102, 103, 104, 94, 105, 77, 84, 106],
-    [107, 24, 64, 108, 109, 32, 110, 75],
-    [102, 21, 92, 111, 112, 113, 114, 76],
-    [115, 44, 116, 65, 117, 12, 118, 119],
-    [120, 121, 86, 8, 119, 122, 103, 37, 123, 124, 125, 126, 127, 4],
-    [107, 124, 116, 66, 128, 79, 87, 129],
-    [115, 95, 54, 67, 130, 123, 131, 45],
-    [112, 128, 125, 109, 69, 97, 132, 133, 57, 117, 130, 88, 105, 80],
-    [108, 96, 55, 68, 133, 78, 111, 25],
-    [131, 41, 104, 93, 132, 134, 135, 122],
-    [120, 48, 46, 91, 134, 136, 1, 137],
-    [98, 51, 72, 27, 113, 138, 139, 140],
-    [0, 35, 73, 100, 70, 121, 85, 14, 118, 110, 129, 141, 142, 143],
-    [6, 140, 82, 52, 99, 127, 90, 137, 135, 114, 106, 144, 145, 146],
-    [126, 5, 81, 142, 89, 147, 148, 145],
-    [141, 139, 26, 34, 83, 148, 144, 149],
-    [138, 143, 7, 33, 101, 53, 136, 28, 63, 13, 47, 147, 146, 149],
-  ],
-}
-
-export default {
-  vertices: [
-    [-1.0, 0.28867513459481287, -0.10206207261596575, -0.3952847075210474],
-    [-1.0, 0.0, 0.30618621784789724, -0.3952847075210474],
-    [-1.0, -0.28867513459481287, 0.408248290463863, 0.0],
-    [0.25, -1.010362971081845, -0.408248290463863, 0.0],
-    [0.25, -1.010362971081845, -0.10206207261596575, -0.3952847075210474],
-    [0.5, -0.8660254037844386, -0.30618621784789724, 0.3952847075210474],
-    [-0.25, -1.010362971081845, -0.408248290463863, 0.0],
-    [-0.25, -1.010362971081845, -0.10206207261596575, -0.3952847075210474],
-    [-0.5, -0.8660254037844386, 0.30618621784789724, -0.3952847075210474],
-    [-0.75, -0.7216878364870323, 0.408248290463863, 0.0],
-    [-0.75, 0.7216878364870323, -0.10206207261596575, -0.3952847075210474],
-    [-0.25, 1.010362971081845, 0.10206207261596575, 0.3952847075210474],
-    [0.75, -0.7216878364870323, 0.10206207261596575, 0.3952847075210474],
-    [0.5, -0.8660254037844386, 0.30618621784789724, -0.3952847075210474],
-    [0.75, -0.7216878364870323, 0.408248290463863, 0.0],
-    [1.0, 0.0, -0.30618621784789724, 0.3952847075210474],
-    [1.0, 0.28867513459481287, -0.408248290463863, 0.0],
-    [0.75, 0.7216878364870323, -0.408248290463863, 0.0],
-    [0.5, 0.8660254037844386, -0.30618621784789724, 0.3952847075210474],
-    [0.25, 1.010362971081845, 0.10206207261596575, 0.3952847075210474],
-    [1.0, -0.28867513459481287, 0.10206207261596575, 0.3952847075210474],
-    [1.0, -0.28867513459481287, 0.408248290463863, 0.0],
-    [-0.5, 0.8660254037844386, 0.30618621784789724, -0.3952847075210474],
-    [-0.25, 1.010362971081845, 0.408248290463863, 0.0],
-    [0.25, 1.010362971081845, 0.408248290463863, 0.0],
-    [0.25, -0.4330127018922193, -0.6123724356957945, -0.7905694150420948],
-    [0.5, 0.0, -0.6123724356957945, -0.7905694150420948],
-    [-0.25, -0.4330127018922193, -0.6123724356957945, -0.7905694150420948],
-    [-0.5, 0.0, -0.6123724356957945, -0.7905694150420948],
-    [-0.75, 0.14433756729740643, -0.2041241452319315, -0.7905694150420948],
-    [-0.75, -0.14433756729740643, 0.2041241452319315, -0.7905694150420948],
-    [0.25, -0.7216878364870323, -0.2041241452319315, -0.7905694150420948],
-    [-0.25, -0.7216878364870323, -0.2041241452319315, -0.7905694150420948],
-    [-0.5, -0.5773502691896257, 0.2041241452319315, -0.7905694150420948],
-    [0.25, 0.4330127018922193, -0.6123724356957945, -0.7905694150420948],
-    [-0.5, 0.5773502691896257, -0.2041241452319315, -0.7905694150420948],
-    [-0.25, 0.4330127018922193, -0.6123724356957945, -0.7905694150420948],
-    [0.5, -0.5773502691896257, 0.2041241452319315, -0.7905694150420948],
-    [-0.25, 0.7216878364870323, 0.2041241452319315, -0.7905694150420948],
-    [1.0, 0.28867513459481287, -0.10206207261596575, -0.3952847075210474],
-    [0.75, 0.7216878364870323, -0.10206207261596575, -0.3952847075210474],
-    [1.0, 0.0, 0.30618621784789724, -0.3952847075210474],
-    [0.5, 0.8660254037844386, 0.30618621784789724, -0.3952847075210474],
-    [0.75, 0.14433756729740643, -0.2041241452319315, -0.7905694150420948],
-    [0.5, 0.5773502691896257, -0.2041241452319315, -0.7905694150420948],
-    [0.75, -0.14433756729740643, 0.2041241452319315, -0.7905694150420948],
-    [0.25, 0.7216878364870323, 0.2041241452319315, -0.7905694150420948],
-    [-0.75, 0.14433756729740643, 0.7144345083117603, -0.3952847075210474],
-    [-0.75, -0.14433756729740643, 0.816496580927726, 0.0],
-    [-0.25, -0.7216878364870323, 0.7144345083117603, -0.3952847075210474],
-    [-0.25, -0.4330127018922193, 0.9185586535436918, 0.3952847075210474],
-    [-0.5, -0.5773502691896257, 0.816496580927726, 0.0],
-    [-0.5, 0.0, 0.9185586535436918, 0.3952847075210474],
-    [-0.25, 0.4330127018922193, 0.9185586535436918, 0.3952847075210474],
-    [0.25, -0.4330127018922193, 0.9185586535436918, 0.3952847075210474],
-    [0.25, -0.7216878364870323, 0.7144345083117603, -0.3952847075210474],
-    [0.5, -0.5773502691896257, 0.816496580927726, 0.0],
-    [0.25, 0.4330127018922193, 0.9185586535436918, 0.3952847075210474],
-    [0.5, 0.0, 0.9185586535436918, 0.3952847075210474],
-    [0.75, -0.14433756729740643, 0.816496580927726, 0.0],
-    [-0.5, 0.5773502691896257, 0.7144345083117603, -0.3952847075210474],
-    [-0.25, 0.7216878364870323, 0.816496580927726, 0.0],
-    [0.25, 0.7216878364870323, 0.816496580927726, 0.0],
-    [-0.5, 0.0, 0.6123724356957945, -0.7905694150420948],
-    [-0.25, -0.4330127018922193, 0.6123724356957945, -0.7905694150420948],
-    [0.25, -0.4330127018922193, 0.6123724356957945, -0.7905694150420948],
-    [-0.25, 0.4330127018922193, 0.6123724356957945, -0.7905694150420948],
-    [0.75, 0.14433756729740643, 0.7144345083117603, -0.3952847075210474],
-    [0.5, 0.5773502691896257, 0.7144345083117603, -0.3952847075210474],
-    [0.5, 0.0, 0.6123724356957945, -0.7905694150420948],
-    [0.25, 0.4330127018922193, 0.6123724356957945, -0.7905694150420948],
-    [0.25, -0.7216878364870323, -0.2041241452319315, 0.7905694150420948],
-    [-0.25, 0.7216878364870323, 0.2041241452319315, 0.7905694150420948],
-    [0.5, -0.5773502691896257, 0.2041241452319315, 0.7905694150420948],
-    [0.75, 0.14433756729740643, -0.2041241452319315, 0.7905694150420948],
-    [0.5, 0.5773502691896257, -0.2041241452319315, 0.7905694150420948],
-    [0.25, 0.7216878364870323, 0.2041241452319315, 0.7905694150420948],
-    [0.75, -0.14433756729740643, 0.2041241452319315, 0.7905694150420948],
-    [-0.25, -0.4330127018922193, 0.6123724356957945, 0.7905694150420948],
-    [-0.5, 0.0, 0.6123724356957945, 0.7905694150420948],
-    [-0.25, 0.4330127018922193, 0.6123724356957945, 0.7905694150420948],
-    [0.25, -0.4330127018922193, 0.6123724356957945, 0.7905694150420948],
-    [0.25, 0.4330127018922193, 0.6123724356957945, 0.7905694150420948],
-    [0.5, 0.0, 0.6123724356957945, 0.7905694150420948],
-    [-1.0, -0.28867513459481287, 0.10206207261596575, 0.3952847075210474],
-    [-0.5, -0.8660254037844386, -0.30618621784789724, 0.3952847075210474],
-    [-0.75, -0.7216878364870323, 0.10206207261596575, 0.3952847075210474],
-    [-0.25, -0.7216878364870323, -0.2041241452319315, 0.7905694150420948],
-    [-0.5, -0.5773502691896257, 0.2041241452319315, 0.7905694150420948],
-    [-0.75, -0.14433756729740643, 0.2041241452319315, 0.7905694150420948],
-    [-1.0, 0.28867513459481287, -0.408248290463863, 0.0],
-    [-0.75, 0.7216878364870323, -0.408248290463863, 0.0],
-    [-0.5, 0.8660254037844386, -0.30618621784789724, 0.3952847075210474],
-    [-0.5, 0.5773502691896257, -0.2041241452319315, 0.7905694150420948],
-    [-1.0, 0.0, -0.30618621784789724, 0.3952847075210474],
-    [-0.75, 0.14433756729740643, -0.2041241452319315, 0.7905694150420948],
-    [0.25, -0.7216878364870323, -0.816496580927726, 0.0],
-    [0.5, -0.5773502691896257, -0.7144345083117603, 0.3952847075210474],
-    [-0.25, -0.7216878364870323, -0.816496580927726, 0.0],
-    [0.75, -0.14433756729740643, -0.7144345083117603, 0.3952847075210474],
-    [0.75, 0.14433756729740643, -0.816496580927726, 0.0],
-    [0.5, 0.5773502691896257, -0.816496580927726, 0.0],
-    [0.25, 0.7216878364870323, -0.7144345083117603, 0.3952847075210474],
-    [0.25, -0.4330127018922193, -0.9185586535436918, -0.3952847075210474],
-    [0.5, 0.0, -0.9185586535436918, -0.3952847075210474],
-    [-0.25, -0.4330127018922193, -0.9185586535436918, -0.3952847075210474],
-    [-0.5, 0.0, -0.9185586535436918, -0.3952847075210474],
-    [0.25, 0.4330127018922193, -0.9185586535436918, -0.3952847075210474],
-    [-0.25, 0.4330127018922193, -0.9185586535436918, -0.3952847075210474],
-    [0.25, -0.4330127018922193, -0.6123724356957945, 0.7905694150420948],
-    [0.5, 0.0, -0.6123724356957945, 0.7905694150420948],
-    [0.25, 0.4330127018922193, -0.6123724356957945, 0.7905694150420948],
-    [-0.5, -0.5773502691896257, -0.7144345083117603, 0.3952847075210474],
-    [-0.25, -0.4330127018922193, -0.6123724356957945, 0.7905694150420948],
-    [-0.75, 0.14433756729740643, -0.816496580927726, 0.0],
-    [-0.5, 0.5773502691896257, -0.816496580927726, 0.0],
-    [-0.25, 0.7216878364870323, -0.7144345083117603, 0.3952847075210474],
-    [-0.25, 0.4330127018922193, -0.6123724356957945, 0.7905694150420948],
-    [-0.75, -0.14433756729740643, -0.7144345083117603, 0.3952847075210474],
-    [-0.5, 0.0, -0.6123724356957945, 0.7905694150420948],
-  ],
-  faces: [
-    [112, 113, 119, 118],
-    [114, 115, 116, 117, 119, 118],
-    [109, 110, 111, 117, 119, 113],
-    [98, 105, 106, 114, 118, 112],
-    [102, 111, 117, 116],
-    [101, 102, 116, 115, 108, 107],
-    [106, 108, 115, 114],
-    [96, 97, 109, 113, 112, 98],
-    [99, 100, 101, 102, 111, 110],
-    [97, 99, 110, 109],
-    [103, 104, 107, 108, 106, 105],
-    [100, 101, 107, 104],
-    [96, 98, 105, 103],
-    [96, 97, 99, 100, 104, 103],
-    [94, 95, 119, 118],
-    [93, 95, 119, 117],
-    [90, 94, 118, 114],
-    [92, 93, 117, 116],
-    [91, 92, 116, 115],
-    [90, 91, 115, 114],
-    [90, 91, 92, 93, 95, 94],
-    [87, 88, 89, 95, 119, 113],
-    [84, 86, 85, 112, 118, 94],
-    [85, 87, 113, 112],
-    [84, 89, 95, 94],
-    [84, 86, 88, 89],
-    [85, 86, 88, 87],
-    [72, 76, 75, 111, 117, 93],
-    [71, 87, 113, 109],
-    [74, 75, 111, 110],
-    [71, 73, 77, 74, 110, 109],
-    [72, 80, 79, 89, 95, 93],
-    [78, 79, 89, 88],
-    [71, 73, 81, 78, 88, 87],
-    [78, 79, 80, 82, 83, 81],
-    [74, 75, 76, 82, 83, 77],
-    [73, 77, 83, 81],
-    [72, 76, 82, 80],
-    [67, 68, 70, 69],
-    [63, 64, 65, 69, 70, 66],
-    [60, 61, 62, 68, 70, 66],
-    [55, 56, 59, 67, 69, 65],
-    [57, 58, 59, 67, 68, 62],
-    [47, 60, 66, 63],
-    [49, 55, 65, 64],
-    [47, 48, 51, 49, 64, 63],
-    [53, 57, 62, 61],
-    [47, 48, 52, 53, 61, 60],
-    [54, 56, 59, 58],
-    [50, 52, 53, 57, 58, 54],
-    [49, 51, 50, 54, 56, 55],
-    [48, 51, 50, 52],
-    [43, 44, 46, 70, 69, 45],
-    [42, 46, 70, 68],
-    [41, 45, 69, 67],
-    [39, 40, 42, 68, 67, 41],
-    [40, 42, 46, 44],
-    [39, 41, 45, 43],
-    [39, 40, 44, 43],
-    [38, 46, 70, 66],
-    [37, 45, 69, 65],
-    [29, 30, 63, 66, 38, 35],
-    [31, 32, 33, 64, 65, 37],
-    [30, 33, 64, 63],
-    [34, 36, 35, 38, 46, 44],
-    [25, 26, 43, 45, 37, 31],
-    [26, 34, 44, 43],
-    [28, 29, 35, 36],
-    [25, 26, 34, 36, 28, 27],
-    [27, 28, 29, 30, 33, 32],
-    [25, 27, 32, 31],
-    [24, 42, 68, 62],
-    [22, 38, 66, 60],
-    [23, 24, 62, 61],
-    [22, 23, 61, 60],
-    [22, 23, 24, 42, 46, 38],
-    [57, 58, 83, 82],
-    [20, 21, 59, 58, 83, 77],
-    [19, 24, 62, 57, 82, 76],
-    [15, 20, 77, 74],
-    [18, 19, 76, 75],
-    [15, 16, 17, 18, 75, 74],
-    [21, 41, 67, 59],
-    [17, 18, 19, 24, 42, 40],
-    [15, 16, 39, 41, 21, 20],
-    [16, 17, 40, 39],
-    [13, 37, 65, 55],
-    [14, 21, 59, 56],
-    [13, 14, 56, 55],
-    [13, 14, 21, 41, 45, 37],
-    [54, 58, 83, 81],
-    [12, 14, 56, 54, 81, 73],
-    [12, 20, 77, 73],
-    [12, 14, 21, 20],
-    [11, 19, 18, 102, 116, 92],
-    [10, 35, 36, 108, 115, 91],
-    [34, 36, 108, 107],
-    [17, 40, 44, 34, 107, 101],
-    [17, 18, 102, 101],
-    [10, 22, 23, 11, 92, 91],
-    [10, 22, 38, 35],
-    [11, 19, 24, 23],
-    [18, 75, 111, 102],
-    [11, 72, 93, 92],
-    [11, 19, 76, 72],
-    [53, 57, 82, 80],
-    [11, 23, 61, 53, 80, 72],
-    [9, 51, 50, 78, 88, 86],
-    [3, 5, 71, 87, 85, 6],
-    [6, 7, 8, 9, 86, 85],
-    [50, 54, 81, 78],
-    [5, 12, 73, 71],
-    [4, 7, 8, 49, 55, 13],
-    [8, 9, 51, 49],
-    [3, 4, 13, 14, 12, 5],
-    [3, 4, 7, 6],
-    [2, 48, 52, 79, 89, 84],
-    [2, 9, 86, 84],
-    [50, 52, 79, 78],
-    [2, 9, 51, 48],
-    [8, 33, 64, 49],
-    [1, 30, 63, 47],
-    [1, 2, 48, 47],
-    [1, 2, 9, 8, 33, 30],
-    [0, 29, 28, 106, 114, 90],
-    [6, 85, 112, 98],
-    [27, 28, 106, 105],
-    [6, 7, 32, 27, 105, 98],
-    [0, 1, 2, 84, 94, 90],
-    [7, 8, 33, 32],
-    [0, 1, 30, 29],
-    [0, 1, 47, 60, 22, 10],
-    [0, 10, 35, 29],
-    [28, 36, 108, 106],
-    [0, 10, 91, 90],
-    [26, 34, 107, 104],
-    [16, 39, 43, 26, 104, 100],
-    [16, 17, 101, 100],
-    [15, 74, 110, 99],
-    [15, 16, 100, 99],
-    [25, 26, 104, 103],
-    [3, 4, 31, 25, 103, 96],
-    [5, 12, 20, 15, 99, 97],
-    [3, 5, 97, 96],
-    [4, 13, 37, 31],
-    [4, 7, 32, 31],
-    [52, 53, 80, 79],
-    [5, 71, 109, 97],
-    [3, 6, 98, 96],
-    [25, 27, 105, 103],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
-    [14, 1, 15, 16, 17, 18, 19, 20],
-    [0, 14, 21, 22, 23, 24, 25, 26],
-    [15, 2, 21, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 37],
-    [38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51],
-    [38, 52, 53, 54, 55, 56, 57, 58],
-    [39, 52, 59, 60, 61, 62, 63, 64, 65, 66, 67, 68, 69, 70],
-    [53, 40, 59, 71, 72, 73, 74, 75],
-    [76, 35, 77, 78, 79, 80, 81, 42, 55, 71, 82, 83, 84, 85],
-    [54, 41, 60, 82, 86, 87, 88, 89],
-    [36, 90, 77, 91, 92, 48, 87, 93],
-    [18, 5, 94, 95, 96, 97, 98, 99, 56, 64, 75, 83, 100, 101],
-    [4, 17, 27, 94, 102, 103, 80, 104],
-    [37, 105, 78, 106, 104, 46, 73, 101],
-    [26, 33, 107, 108, 109, 110, 91, 111, 88, 50, 112, 113, 114, 115],
-    [25, 32, 116, 107, 117, 118, 51, 119],
-    [63, 45, 120, 121, 113, 119, 122, 123],
-    [16, 3, 22, 124, 125, 126, 127, 128, 109, 117, 129, 69, 123, 130],
-    [43, 61, 72, 121, 131, 100, 132, 130],
-    [6, 19, 95, 124, 133, 134, 67, 132],
-    [11, 135, 97, 136, 137, 58, 66, 85],
-    [29, 8, 102, 138, 98, 137, 139, 81],
-    [140, 13, 136, 141, 139, 142, 143, 57, 65, 89, 84, 144, 93, 114],
-    [44, 62, 86, 120, 112, 144, 129, 145],
-    [24, 20, 31, 128, 103, 99, 134, 116, 146, 106, 74, 47, 131, 122],
-    [76, 34, 90, 105, 110, 146, 118, 49],
-    [23, 7, 28, 125, 147, 148, 143, 108],
-    [9, 30, 138, 147, 142, 79, 92, 111],
-    [12, 149, 127, 141, 148, 70, 145, 115],
-    [96, 10, 133, 135, 126, 149, 140, 68],
-  ],
-}
@@ -1,3601 +0,0 @@
-export const permutahedronBIrregular = {
-  vertices: [
-    [-1.0, -1.730247856610182, -2.190743569830546, -1.683965705762913],
-    [-1.0, -1.730247856610182, -2.190743569830546, -1.414213562373095],
-    [-1.0, -1.730247856610182, -1.9209914264407282, -1.683965705762913],
-    [-1.0, -1.730247856610182, -1.9209914264407282, -1.0327264227120025],
-    [-1.0, -1.730247856610182, -1.5395042867796358, -1.414213562373095],
-    [-1.0, -1.730247856610182, -1.5395042867796358, -0.7629742793221848],
-    [-1.0, -1.730247856610182, -1.269752143389818, -1.0327264227120025],
-    [-1.0, -1.730247856610182, -1.269752143389818, -0.7629742793221848],
-    [-1.0, -1.4604957132203642, -2.190743569830546, -1.683965705762913],
-    [-1.0, -1.4604957132203642, -2.190743569830546, -1.414213562373095],
-    [-1.0, -1.4604957132203642, -1.6512392830509104, -1.683965705762913],
-    [-1.0, -1.4604957132203642, -1.6512392830509104, -0.6512392830509103],
-    [-1.0, -1.4604957132203642, -1.269752143389818, -1.414213562373095],
-    [-1.0, -1.4604957132203642, -1.269752143389818, -0.3814871396610924],
-    [-1.0, -1.4604957132203642, -0.7302478566101821, -0.6512392830509103],
-    [-1.0, -1.4604957132203642, -0.7302478566101821, -0.3814871396610924],
-    [-1.0, -1.1907435698305462, -1.9209914264407282, -1.683965705762913],
-    [-1.0, -1.1907435698305462, -1.9209914264407282, -1.0327264227120025],
-    [-1.0, -1.1907435698305462, -1.6512392830509104, -1.683965705762913],
-    [-1.0, -1.1907435698305462, -1.6512392830509104, -0.6512392830509103],
-    [-1.0, -1.1907435698305462, -0.7302478566101821, -1.0327264227120025],
-    [-1.0, -1.1907435698305462, -0.7302478566101821, 0.0],
-    [-1.0, -1.1907435698305462, -0.4604957132203641, -0.6512392830509103],
-    [-1.0, -1.1907435698305462, -0.4604957132203641, 0.0],
-    [-1.0, -0.8092564301694538, -1.5395042867796358, -1.414213562373095],
-    [-1.0, -0.8092564301694538, -1.5395042867796358, -0.7629742793221848],
-    [-1.0, -0.8092564301694538, -1.269752143389818, -1.414213562373095],
-    [-1.0, -0.8092564301694538, -1.269752143389818, -0.3814871396610924],
-    [-1.0, -0.8092564301694538, -0.34876071694908967, -0.7629742793221848],
-    [-1.0, -0.8092564301694538, -0.34876071694908967, 0.26975214338981796],
-    [-1.0, -0.8092564301694538, -0.07900857355927177, -0.3814871396610924],
-    [-1.0, -0.8092564301694538, -0.07900857355927177, 0.26975214338981796],
-    [-1.0, -0.5395042867796359, -1.269752143389818, -1.0327264227120025],
-    [-1.0, -0.5395042867796359, -1.269752143389818, -0.7629742793221848],
-    [-1.0, -0.5395042867796359, -0.7302478566101821, -1.0327264227120025],
-    [-1.0, -0.5395042867796359, -0.7302478566101821, 0.0],
-    [-1.0, -0.5395042867796359, -0.34876071694908967, -0.7629742793221848],
-    [-1.0, -0.5395042867796359, -0.34876071694908967, 0.26975214338981796],
-    [-1.0, -0.5395042867796359, 0.1907435698305462, 0.0],
-    [-1.0, -0.5395042867796359, 0.1907435698305462, 0.26975214338981796],
-    [-1.0, -0.26975214338981796, -0.7302478566101821, -0.6512392830509103],
-    [-1.0, -0.26975214338981796, -0.7302478566101821, -0.3814871396610924],
-    [-1.0, -0.26975214338981796, -0.4604957132203641, -0.6512392830509103],
-    [-1.0, -0.26975214338981796, -0.4604957132203641, 0.0],
-    [-1.0, -0.26975214338981796, -0.07900857355927177, -0.3814871396610924],
-    [-1.0, -0.26975214338981796, -0.07900857355927177, 0.26975214338981796],
-    [-1.0, -0.26975214338981796, 0.1907435698305462, 0.0],
-    [-1.0, -0.26975214338981796, 0.1907435698305462, 0.26975214338981796],
-    [
-      -0.7302478566101821, -1.730247856610182, -2.190743569830546,
-      -1.683965705762913,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -2.190743569830546,
-      -1.414213562373095,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -1.9209914264407282,
-      -1.683965705762913,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -1.9209914264407282,
-      -1.0327264227120025,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -1.5395042867796358,
-      -1.414213562373095,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -1.5395042867796358,
-      -0.7629742793221848,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -1.269752143389818,
-      -1.0327264227120025,
-    ],
-    [
-      -0.7302478566101821, -1.730247856610182, -1.269752143389818,
-      -0.7629742793221848,
-    ],
-    [
-      -0.7302478566101821, -1.1907435698305462, -2.190743569830546,
-      -1.683965705762913,
-    ],
-    [
-      -0.7302478566101821, -1.1907435698305462, -2.190743569830546,
-      -1.414213562373095,
-    ],
-    [
-      -0.7302478566101821, -1.1907435698305462, -1.3814871396610924,
-      -1.683965705762913,
-    ],
-    [
-      -0.7302478566101821, -1.1907435698305462, -1.3814871396610924,
-      -0.26975214338981796,
-    ],
-    [-0.7302478566101821, -1.1907435698305462, -1.0, -1.414213562373095],
-    [-0.7302478566101821, -1.1907435698305462, -1.0, 0.0],
-    [
-      -0.7302478566101821, -1.1907435698305462, -0.1907435698305462,
-      -0.26975214338981796,
-    ],
-    [-0.7302478566101821, -1.1907435698305462, -0.1907435698305462, 0.0],
-    [
-      -0.7302478566101821, -0.9209914264407282, -1.9209914264407282,
-      -1.683965705762913,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, -1.9209914264407282,
-      -1.0327264227120025,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, -1.3814871396610924,
-      -1.683965705762913,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, -1.3814871396610924,
-      -0.26975214338981796,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, -0.4604957132203641,
-      -1.0327264227120025,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, -0.4604957132203641,
-      0.3814871396610924,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, 0.07900857355927177,
-      -0.26975214338981796,
-    ],
-    [
-      -0.7302478566101821, -0.9209914264407282, 0.07900857355927177,
-      0.3814871396610924,
-    ],
-    [
-      -0.7302478566101821, -0.5395042867796359, -1.5395042867796358,
-      -1.414213562373095,
-    ],
-    [
-      -0.7302478566101821, -0.5395042867796359, -1.5395042867796358,
-      -0.7629742793221848,
-    ],
-    [-0.7302478566101821, -0.5395042867796359, -1.0, -1.414213562373095],
-    [-0.7302478566101821, -0.5395042867796359, -1.0, 0.0],
-    [
-      -0.7302478566101821, -0.5395042867796359, -0.07900857355927177,
-      -0.7629742793221848,
-    ],
-    [
-      -0.7302478566101821, -0.5395042867796359, -0.07900857355927177,
-      0.6512392830509103,
-    ],
-    [-0.7302478566101821, -0.5395042867796359, 0.4604957132203641, 0.0],
-    [
-      -0.7302478566101821, -0.5395042867796359, 0.4604957132203641,
-      0.6512392830509103,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, -1.269752143389818,
-      -1.0327264227120025,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, -1.269752143389818,
-      -0.7629742793221848,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, -0.4604957132203641,
-      -1.0327264227120025,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, -0.4604957132203641,
-      0.3814871396610924,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, -0.07900857355927177,
-      -0.7629742793221848,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, -0.07900857355927177,
-      0.6512392830509103,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, 0.7302478566101821,
-      0.3814871396610924,
-    ],
-    [
-      -0.7302478566101821, -0.26975214338981796, 0.7302478566101821,
-      0.6512392830509103,
-    ],
-    [
-      -0.7302478566101821, 0.26975214338981796, -0.1907435698305462,
-      -0.26975214338981796,
-    ],
-    [-0.7302478566101821, 0.26975214338981796, -0.1907435698305462, 0.0],
-    [
-      -0.7302478566101821, 0.26975214338981796, 0.07900857355927177,
-      -0.26975214338981796,
-    ],
-    [
-      -0.7302478566101821, 0.26975214338981796, 0.07900857355927177,
-      0.3814871396610924,
-    ],
-    [-0.7302478566101821, 0.26975214338981796, 0.4604957132203641, 0.0],
-    [
-      -0.7302478566101821, 0.26975214338981796, 0.4604957132203641,
-      0.6512392830509103,
-    ],
-    [
-      -0.7302478566101821, 0.26975214338981796, 0.7302478566101821,
-      0.3814871396610924,
-    ],
-    [
-      -0.7302478566101821, 0.26975214338981796, 0.7302478566101821,
-      0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -2.190743569830546,
-      -1.683965705762913,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -2.190743569830546,
-      -1.414213562373095,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -1.6512392830509104,
-      -1.683965705762913,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -1.6512392830509104,
-      -0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -1.269752143389818,
-      -1.414213562373095,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -1.269752143389818,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -0.7302478566101821,
-      -0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, -1.4604957132203642, -0.7302478566101821,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, -1.1907435698305462, -2.190743569830546,
-      -1.683965705762913,
-    ],
-    [
-      -0.4604957132203641, -1.1907435698305462, -2.190743569830546,
-      -1.414213562373095,
-    ],
-    [
-      -0.4604957132203641, -1.1907435698305462, -1.3814871396610924,
-      -1.683965705762913,
-    ],
-    [
-      -0.4604957132203641, -1.1907435698305462, -1.3814871396610924,
-      -0.26975214338981796,
-    ],
-    [-0.4604957132203641, -1.1907435698305462, -1.0, -1.414213562373095],
-    [-0.4604957132203641, -1.1907435698305462, -1.0, 0.0],
-    [
-      -0.4604957132203641, -1.1907435698305462, -0.1907435698305462,
-      -0.26975214338981796,
-    ],
-    [-0.4604957132203641, -1.1907435698305462, -0.1907435698305462, 0.0],
-    [
-      -0.4604957132203641, -0.6512392830509103, -1.6512392830509104,
-      -1.683965705762913,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, -1.6512392830509104,
-      -0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, -1.3814871396610924,
-      -1.683965705762913,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, -1.3814871396610924,
-      -0.26975214338981796,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, 0.07900857355927177,
-      -0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, 0.07900857355927177,
-      0.7629742793221848,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, 0.34876071694908967,
-      -0.26975214338981796,
-    ],
-    [
-      -0.4604957132203641, -0.6512392830509103, 0.34876071694908967,
-      0.7629742793221848,
-    ],
-    [
-      -0.4604957132203641, -0.26975214338981796, -1.269752143389818,
-      -1.414213562373095,
-    ],
-    [
-      -0.4604957132203641, -0.26975214338981796, -1.269752143389818,
-      -0.3814871396610924,
-    ],
-    [-0.4604957132203641, -0.26975214338981796, -1.0, -1.414213562373095],
-    [-0.4604957132203641, -0.26975214338981796, -1.0, 0.0],
-    [
-      -0.4604957132203641, -0.26975214338981796, 0.4604957132203641,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, -0.26975214338981796, 0.4604957132203641,
-      1.0327264227120025,
-    ],
-    [-0.4604957132203641, -0.26975214338981796, 0.7302478566101821, 0.0],
-    [
-      -0.4604957132203641, -0.26975214338981796, 0.7302478566101821,
-      1.0327264227120025,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, -0.7302478566101821,
-      -0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, -0.7302478566101821,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, 0.07900857355927177,
-      -0.6512392830509103,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, 0.07900857355927177,
-      0.7629742793221848,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, 0.4604957132203641,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, 0.4604957132203641,
-      1.0327264227120025,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, 1.269752143389818,
-      0.7629742793221848,
-    ],
-    [
-      -0.4604957132203641, 0.26975214338981796, 1.269752143389818,
-      1.0327264227120025,
-    ],
-    [
-      -0.4604957132203641, 0.5395042867796359, -0.1907435698305462,
-      -0.26975214338981796,
-    ],
-    [-0.4604957132203641, 0.5395042867796359, -0.1907435698305462, 0.0],
-    [
-      -0.4604957132203641, 0.5395042867796359, 0.34876071694908967,
-      -0.26975214338981796,
-    ],
-    [
-      -0.4604957132203641, 0.5395042867796359, 0.34876071694908967,
-      0.7629742793221848,
-    ],
-    [-0.4604957132203641, 0.5395042867796359, 0.7302478566101821, 0.0],
-    [
-      -0.4604957132203641, 0.5395042867796359, 0.7302478566101821,
-      1.0327264227120025,
-    ],
-    [
-      -0.4604957132203641, 0.5395042867796359, 1.269752143389818,
-      0.7629742793221848,
-    ],
-    [
-      -0.4604957132203641, 0.5395042867796359, 1.269752143389818,
-      1.0327264227120025,
-    ],
-    [
-      -0.1907435698305462, -1.1907435698305462, -1.9209914264407282,
-      -1.683965705762913,
-    ],
-    [
-      -0.1907435698305462, -1.1907435698305462, -1.9209914264407282,
-      -1.0327264227120025,
-    ],
-    [
-      -0.1907435698305462, -1.1907435698305462, -1.6512392830509104,
-      -1.683965705762913,
-    ],
-    [
-      -0.1907435698305462, -1.1907435698305462, -1.6512392830509104,
-      -0.6512392830509103,
-    ],
-    [
-      -0.1907435698305462, -1.1907435698305462, -0.7302478566101821,
-      -1.0327264227120025,
-    ],
-    [-0.1907435698305462, -1.1907435698305462, -0.7302478566101821, 0.0],
-    [
-      -0.1907435698305462, -1.1907435698305462, -0.4604957132203641,
-      -0.6512392830509103,
-    ],
-    [-0.1907435698305462, -1.1907435698305462, -0.4604957132203641, 0.0],
-    [
-      -0.1907435698305462, -0.9209914264407282, -1.9209914264407282,
-      -1.683965705762913,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, -1.9209914264407282,
-      -1.0327264227120025,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, -1.3814871396610924,
-      -1.683965705762913,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, -1.3814871396610924,
-      -0.26975214338981796,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, -0.4604957132203641,
-      -1.0327264227120025,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, -0.4604957132203641,
-      0.3814871396610924,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, 0.07900857355927177,
-      -0.26975214338981796,
-    ],
-    [
-      -0.1907435698305462, -0.9209914264407282, 0.07900857355927177,
-      0.3814871396610924,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, -1.6512392830509104,
-      -1.683965705762913,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, -1.6512392830509104,
-      -0.6512392830509103,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, -1.3814871396610924,
-      -1.683965705762913,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, -1.3814871396610924,
-      -0.26975214338981796,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, 0.07900857355927177,
-      -0.6512392830509103,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, 0.07900857355927177,
-      0.7629742793221848,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, 0.34876071694908967,
-      -0.26975214338981796,
-    ],
-    [
-      -0.1907435698305462, -0.6512392830509103, 0.34876071694908967,
-      0.7629742793221848,
-    ],
-    [
-      -0.1907435698305462, 0.26975214338981796, -0.7302478566101821,
-      -1.0327264227120025,
-    ],
-    [-0.1907435698305462, 0.26975214338981796, -0.7302478566101821, 0.0],
-    [
-      -0.1907435698305462, 0.26975214338981796, -0.4604957132203641,
-      -1.0327264227120025,
-    ],
-    [
-      -0.1907435698305462, 0.26975214338981796, -0.4604957132203641,
-      0.3814871396610924,
-    ],
-    [-0.1907435698305462, 0.26975214338981796, 1.0, 0.0],
-    [-0.1907435698305462, 0.26975214338981796, 1.0, 1.414213562373095],
-    [
-      -0.1907435698305462, 0.26975214338981796, 1.269752143389818,
-      0.3814871396610924,
-    ],
-    [
-      -0.1907435698305462, 0.26975214338981796, 1.269752143389818,
-      1.414213562373095,
-    ],
-    [
-      -0.1907435698305462, 0.5395042867796359, -0.4604957132203641,
-      -0.6512392830509103,
-    ],
-    [-0.1907435698305462, 0.5395042867796359, -0.4604957132203641, 0.0],
-    [
-      -0.1907435698305462, 0.5395042867796359, 0.07900857355927177,
-      -0.6512392830509103,
-    ],
-    [
-      -0.1907435698305462, 0.5395042867796359, 0.07900857355927177,
-      0.7629742793221848,
-    ],
-    [-0.1907435698305462, 0.5395042867796359, 1.0, 0.0],
-    [-0.1907435698305462, 0.5395042867796359, 1.0, 1.414213562373095],
-    [
-      -0.1907435698305462, 0.5395042867796359, 1.5395042867796358,
-      0.7629742793221848,
-    ],
-    [
-      -0.1907435698305462, 0.5395042867796359, 1.5395042867796358,
-      1.414213562373095,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 0.07900857355927177,
-      -0.26975214338981796,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 0.07900857355927177,
-      0.3814871396610924,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 0.34876071694908967,
-      -0.26975214338981796,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 0.34876071694908967,
-      0.7629742793221848,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 1.269752143389818,
-      0.3814871396610924,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 1.269752143389818,
-      1.414213562373095,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 1.5395042867796358,
-      0.7629742793221848,
-    ],
-    [
-      -0.1907435698305462, 0.8092564301694538, 1.5395042867796358,
-      1.414213562373095,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -1.5395042867796358,
-      -1.414213562373095,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -1.5395042867796358,
-      -0.7629742793221848,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -1.269752143389818,
-      -1.414213562373095,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -1.269752143389818,
-      -0.3814871396610924,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -0.34876071694908967,
-      -0.7629742793221848,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -0.34876071694908967,
-      0.26975214338981796,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -0.07900857355927177,
-      -0.3814871396610924,
-    ],
-    [
-      0.1907435698305462, -0.8092564301694538, -0.07900857355927177,
-      0.26975214338981796,
-    ],
-    [
-      0.1907435698305462, -0.5395042867796359, -1.5395042867796358,
-      -1.414213562373095,
-    ],
-    [
-      0.1907435698305462, -0.5395042867796359, -1.5395042867796358,
-      -0.7629742793221848,
-    ],
-    [0.1907435698305462, -0.5395042867796359, -1.0, -1.414213562373095],
-    [0.1907435698305462, -0.5395042867796359, -1.0, 0.0],
-    [
-      0.1907435698305462, -0.5395042867796359, -0.07900857355927177,
-      -0.7629742793221848,
-    ],
-    [
-      0.1907435698305462, -0.5395042867796359, -0.07900857355927177,
-      0.6512392830509103,
-    ],
-    [0.1907435698305462, -0.5395042867796359, 0.4604957132203641, 0.0],
-    [
-      0.1907435698305462, -0.5395042867796359, 0.4604957132203641,
-      0.6512392830509103,
-    ],
-    [
-      0.1907435698305462, -0.26975214338981796, -1.269752143389818,
-      -1.414213562373095,
-    ],
-    [
-      0.1907435698305462, -0.26975214338981796, -1.269752143389818,
-      -0.3814871396610924,
-    ],
-    [0.1907435698305462, -0.26975214338981796, -1.0, -1.414213562373095],
-    [0.1907435698305462, -0.26975214338981796, -1.0, 0.0],
-    [
-      0.1907435698305462, -0.26975214338981796, 0.4604957132203641,
-      -0.3814871396610924,
-    ],
-    [
-      0.1907435698305462, -0.26975214338981796, 0.4604957132203641,
-      1.0327264227120025,
-    ],
-    [0.1907435698305462, -0.26975214338981796, 0.7302478566101821, 0.0],
-    [
-      0.1907435698305462, -0.26975214338981796, 0.7302478566101821,
-      1.0327264227120025,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, -0.34876071694908967,
-      -0.7629742793221848,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, -0.34876071694908967,
-      0.26975214338981796,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, -0.07900857355927177,
-      -0.7629742793221848,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, -0.07900857355927177,
-      0.6512392830509103,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, 1.3814871396610924,
-      0.26975214338981796,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, 1.3814871396610924,
-      1.683965705762913,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, 1.6512392830509104,
-      0.6512392830509103,
-    ],
-    [
-      0.1907435698305462, 0.6512392830509103, 1.6512392830509104,
-      1.683965705762913,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, -0.07900857355927177,
-      -0.3814871396610924,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, -0.07900857355927177,
-      0.26975214338981796,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, 0.4604957132203641,
-      -0.3814871396610924,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, 0.4604957132203641,
-      1.0327264227120025,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, 1.3814871396610924,
-      0.26975214338981796,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, 1.3814871396610924,
-      1.683965705762913,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, 1.9209914264407282,
-      1.0327264227120025,
-    ],
-    [
-      0.1907435698305462, 0.9209914264407282, 1.9209914264407282,
-      1.683965705762913,
-    ],
-    [0.1907435698305462, 1.1907435698305462, 0.4604957132203641, 0.0],
-    [
-      0.1907435698305462, 1.1907435698305462, 0.4604957132203641,
-      0.6512392830509103,
-    ],
-    [0.1907435698305462, 1.1907435698305462, 0.7302478566101821, 0.0],
-    [
-      0.1907435698305462, 1.1907435698305462, 0.7302478566101821,
-      1.0327264227120025,
-    ],
-    [
-      0.1907435698305462, 1.1907435698305462, 1.6512392830509104,
-      0.6512392830509103,
-    ],
-    [
-      0.1907435698305462, 1.1907435698305462, 1.6512392830509104,
-      1.683965705762913,
-    ],
-    [
-      0.1907435698305462, 1.1907435698305462, 1.9209914264407282,
-      1.0327264227120025,
-    ],
-    [
-      0.1907435698305462, 1.1907435698305462, 1.9209914264407282,
-      1.683965705762913,
-    ],
-    [
-      0.4604957132203641, -0.5395042867796359, -1.269752143389818,
-      -1.0327264227120025,
-    ],
-    [
-      0.4604957132203641, -0.5395042867796359, -1.269752143389818,
-      -0.7629742793221848,
-    ],
-    [
-      0.4604957132203641, -0.5395042867796359, -0.7302478566101821,
-      -1.0327264227120025,
-    ],
-    [0.4604957132203641, -0.5395042867796359, -0.7302478566101821, 0.0],
-    [
-      0.4604957132203641, -0.5395042867796359, -0.34876071694908967,
-      -0.7629742793221848,
-    ],
-    [
-      0.4604957132203641, -0.5395042867796359, -0.34876071694908967,
-      0.26975214338981796,
-    ],
-    [0.4604957132203641, -0.5395042867796359, 0.1907435698305462, 0.0],
-    [
-      0.4604957132203641, -0.5395042867796359, 0.1907435698305462,
-      0.26975214338981796,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, -1.269752143389818,
-      -1.0327264227120025,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, -1.269752143389818,
-      -0.7629742793221848,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, -0.4604957132203641,
-      -1.0327264227120025,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, -0.4604957132203641,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, -0.07900857355927177,
-      -0.7629742793221848,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, -0.07900857355927177,
-      0.6512392830509103,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, 0.7302478566101821,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, -0.26975214338981796, 0.7302478566101821,
-      0.6512392830509103,
-    ],
-    [
-      0.4604957132203641, 0.26975214338981796, -0.7302478566101821,
-      -1.0327264227120025,
-    ],
-    [0.4604957132203641, 0.26975214338981796, -0.7302478566101821, 0.0],
-    [
-      0.4604957132203641, 0.26975214338981796, -0.4604957132203641,
-      -1.0327264227120025,
-    ],
-    [
-      0.4604957132203641, 0.26975214338981796, -0.4604957132203641,
-      0.3814871396610924,
-    ],
-    [0.4604957132203641, 0.26975214338981796, 1.0, 0.0],
-    [0.4604957132203641, 0.26975214338981796, 1.0, 1.414213562373095],
-    [
-      0.4604957132203641, 0.26975214338981796, 1.269752143389818,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, 0.26975214338981796, 1.269752143389818,
-      1.414213562373095,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, -0.34876071694908967,
-      -0.7629742793221848,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, -0.34876071694908967,
-      0.26975214338981796,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, -0.07900857355927177,
-      -0.7629742793221848,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, -0.07900857355927177,
-      0.6512392830509103,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, 1.3814871396610924,
-      0.26975214338981796,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, 1.3814871396610924,
-      1.683965705762913,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, 1.6512392830509104,
-      0.6512392830509103,
-    ],
-    [
-      0.4604957132203641, 0.6512392830509103, 1.6512392830509104,
-      1.683965705762913,
-    ],
-    [0.4604957132203641, 1.1907435698305462, 0.1907435698305462, 0.0],
-    [
-      0.4604957132203641, 1.1907435698305462, 0.1907435698305462,
-      0.26975214338981796,
-    ],
-    [0.4604957132203641, 1.1907435698305462, 1.0, 0.0],
-    [0.4604957132203641, 1.1907435698305462, 1.0, 1.414213562373095],
-    [
-      0.4604957132203641, 1.1907435698305462, 1.3814871396610924,
-      0.26975214338981796,
-    ],
-    [
-      0.4604957132203641, 1.1907435698305462, 1.3814871396610924,
-      1.683965705762913,
-    ],
-    [
-      0.4604957132203641, 1.1907435698305462, 2.190743569830546,
-      1.414213562373095,
-    ],
-    [
-      0.4604957132203641, 1.1907435698305462, 2.190743569830546,
-      1.683965705762913,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 0.7302478566101821,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 0.7302478566101821,
-      0.6512392830509103,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 1.269752143389818,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 1.269752143389818,
-      1.414213562373095,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 1.6512392830509104,
-      0.6512392830509103,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 1.6512392830509104,
-      1.683965705762913,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 2.190743569830546,
-      1.414213562373095,
-    ],
-    [
-      0.4604957132203641, 1.4604957132203642, 2.190743569830546,
-      1.683965705762913,
-    ],
-    [
-      0.7302478566101821, -0.26975214338981796, -0.7302478566101821,
-      -0.6512392830509103,
-    ],
-    [
-      0.7302478566101821, -0.26975214338981796, -0.7302478566101821,
-      -0.3814871396610924,
-    ],
-    [
-      0.7302478566101821, -0.26975214338981796, -0.4604957132203641,
-      -0.6512392830509103,
-    ],
-    [0.7302478566101821, -0.26975214338981796, -0.4604957132203641, 0.0],
-    [
-      0.7302478566101821, -0.26975214338981796, -0.07900857355927177,
-      -0.3814871396610924,
-    ],
-    [
-      0.7302478566101821, -0.26975214338981796, -0.07900857355927177,
-      0.26975214338981796,
-    ],
-    [0.7302478566101821, -0.26975214338981796, 0.1907435698305462, 0.0],
-    [
-      0.7302478566101821, -0.26975214338981796, 0.1907435698305462,
-      0.26975214338981796,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, -0.7302478566101821,
-      -0.6512392830509103,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, -0.7302478566101821,
-      -0.3814871396610924,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, 0.07900857355927177,
-      -0.6512392830509103,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, 0.07900857355927177,
-      0.7629742793221848,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, 0.4604957132203641,
-      -0.3814871396610924,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, 0.4604957132203641,
-      1.0327264227120025,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, 1.269752143389818,
-      0.7629742793221848,
-    ],
-    [
-      0.7302478566101821, 0.26975214338981796, 1.269752143389818,
-      1.0327264227120025,
-    ],
-    [
-      0.7302478566101821, 0.5395042867796359, -0.4604957132203641,
-      -0.6512392830509103,
-    ],
-    [0.7302478566101821, 0.5395042867796359, -0.4604957132203641, 0.0],
-    [
-      0.7302478566101821, 0.5395042867796359, 0.07900857355927177,
-      -0.6512392830509103,
-    ],
-    [
-      0.7302478566101821, 0.5395042867796359, 0.07900857355927177,
-      0.7629742793221848,
-    ],
-    [0.7302478566101821, 0.5395042867796359, 1.0, 0.0],
-    [0.7302478566101821, 0.5395042867796359, 1.0, 1.414213562373095],
-    [
-      0.7302478566101821, 0.5395042867796359, 1.5395042867796358,
-      0.7629742793221848,
-    ],
-    [
-      0.7302478566101821, 0.5395042867796359, 1.5395042867796358,
-      1.414213562373095,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, -0.07900857355927177,
-      -0.3814871396610924,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, -0.07900857355927177,
-      0.26975214338981796,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, 0.4604957132203641,
-      -0.3814871396610924,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, 0.4604957132203641,
-      1.0327264227120025,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, 1.3814871396610924,
-      0.26975214338981796,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, 1.3814871396610924,
-      1.683965705762913,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, 1.9209914264407282,
-      1.0327264227120025,
-    ],
-    [
-      0.7302478566101821, 0.9209914264407282, 1.9209914264407282,
-      1.683965705762913,
-    ],
-    [0.7302478566101821, 1.1907435698305462, 0.1907435698305462, 0.0],
-    [
-      0.7302478566101821, 1.1907435698305462, 0.1907435698305462,
-      0.26975214338981796,
-    ],
-    [0.7302478566101821, 1.1907435698305462, 1.0, 0.0],
-    [0.7302478566101821, 1.1907435698305462, 1.0, 1.414213562373095],
-    [
-      0.7302478566101821, 1.1907435698305462, 1.3814871396610924,
-      0.26975214338981796,
-    ],
-    [
-      0.7302478566101821, 1.1907435698305462, 1.3814871396610924,
-      1.683965705762913,
-    ],
-    [
-      0.7302478566101821, 1.1907435698305462, 2.190743569830546,
-      1.414213562373095,
-    ],
-    [
-      0.7302478566101821, 1.1907435698305462, 2.190743569830546,
-      1.683965705762913,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 1.269752143389818,
-      0.7629742793221848,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 1.269752143389818,
-      1.0327264227120025,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 1.5395042867796358,
-      0.7629742793221848,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 1.5395042867796358,
-      1.414213562373095,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 1.9209914264407282,
-      1.0327264227120025,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 1.9209914264407282,
-      1.683965705762913,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 2.190743569830546,
-      1.414213562373095,
-    ],
-    [
-      0.7302478566101821, 1.730247856610182, 2.190743569830546,
-      1.683965705762913,
-    ],
-    [1.0, 0.26975214338981796, -0.1907435698305462, -0.26975214338981796],
-    [1.0, 0.26975214338981796, -0.1907435698305462, 0.0],
-    [1.0, 0.26975214338981796, 0.07900857355927177, -0.26975214338981796],
-    [1.0, 0.26975214338981796, 0.07900857355927177, 0.3814871396610924],
-    [1.0, 0.26975214338981796, 0.4604957132203641, 0.0],
-    [1.0, 0.26975214338981796, 0.4604957132203641, 0.6512392830509103],
-    [1.0, 0.26975214338981796, 0.7302478566101821, 0.3814871396610924],
-    [1.0, 0.26975214338981796, 0.7302478566101821, 0.6512392830509103],
-    [1.0, 0.5395042867796359, -0.1907435698305462, -0.26975214338981796],
-    [1.0, 0.5395042867796359, -0.1907435698305462, 0.0],
-    [1.0, 0.5395042867796359, 0.34876071694908967, -0.26975214338981796],
-    [1.0, 0.5395042867796359, 0.34876071694908967, 0.7629742793221848],
-    [1.0, 0.5395042867796359, 0.7302478566101821, 0.0],
-    [1.0, 0.5395042867796359, 0.7302478566101821, 1.0327264227120025],
-    [1.0, 0.5395042867796359, 1.269752143389818, 0.7629742793221848],
-    [1.0, 0.5395042867796359, 1.269752143389818, 1.0327264227120025],
-    [1.0, 0.8092564301694538, 0.07900857355927177, -0.26975214338981796],
-    [1.0, 0.8092564301694538, 0.07900857355927177, 0.3814871396610924],
-    [1.0, 0.8092564301694538, 0.34876071694908967, -0.26975214338981796],
-    [1.0, 0.8092564301694538, 0.34876071694908967, 0.7629742793221848],
-    [1.0, 0.8092564301694538, 1.269752143389818, 0.3814871396610924],
-    [1.0, 0.8092564301694538, 1.269752143389818, 1.414213562373095],
-    [1.0, 0.8092564301694538, 1.5395042867796358, 0.7629742793221848],
-    [1.0, 0.8092564301694538, 1.5395042867796358, 1.414213562373095],
-    [1.0, 1.1907435698305462, 0.4604957132203641, 0.0],
-    [1.0, 1.1907435698305462, 0.4604957132203641, 0.6512392830509103],
-    [1.0, 1.1907435698305462, 0.7302478566101821, 0.0],
-    [1.0, 1.1907435698305462, 0.7302478566101821, 1.0327264227120025],
-    [1.0, 1.1907435698305462, 1.6512392830509104, 0.6512392830509103],
-    [1.0, 1.1907435698305462, 1.6512392830509104, 1.683965705762913],
-    [1.0, 1.1907435698305462, 1.9209914264407282, 1.0327264227120025],
-    [1.0, 1.1907435698305462, 1.9209914264407282, 1.683965705762913],
-    [1.0, 1.4604957132203642, 0.7302478566101821, 0.3814871396610924],
-    [1.0, 1.4604957132203642, 0.7302478566101821, 0.6512392830509103],
-    [1.0, 1.4604957132203642, 1.269752143389818, 0.3814871396610924],
-    [1.0, 1.4604957132203642, 1.269752143389818, 1.414213562373095],
-    [1.0, 1.4604957132203642, 1.6512392830509104, 0.6512392830509103],
-    [1.0, 1.4604957132203642, 1.6512392830509104, 1.683965705762913],
-    [1.0, 1.4604957132203642, 2.190743569830546, 1.414213562373095],
-    [1.0, 1.4604957132203642, 2.190743569830546, 1.683965705762913],
-    [1.0, 1.730247856610182, 1.269752143389818, 0.7629742793221848],
-    [1.0, 1.730247856610182, 1.269752143389818, 1.0327264227120025],
-    [1.0, 1.730247856610182, 1.5395042867796358, 0.7629742793221848],
-    [1.0, 1.730247856610182, 1.5395042867796358, 1.414213562373095],
-    [1.0, 1.730247856610182, 1.9209914264407282, 1.0327264227120025],
-    [1.0, 1.730247856610182, 1.9209914264407282, 1.683965705762913],
-    [1.0, 1.730247856610182, 2.190743569830546, 1.414213562373095],
-    [1.0, 1.730247856610182, 2.190743569830546, 1.683965705762913],
-  ],
-  faces: [
-    [40, 41, 43, 45, 47, 46, 44, 42],
-    [88, 89, 91, 93, 95, 94, 92, 90],
-    [43, 45, 93, 91],
-    [42, 44, 92, 90],
-    [46, 47, 95, 94],
-    [45, 47, 95, 93],
-    [44, 46, 94, 92],
-    [41, 43, 91, 89],
-    [40, 42, 90, 88],
-    [40, 41, 89, 88],
-    [35, 37, 45, 43],
-    [34, 36, 44, 42],
-    [38, 39, 47, 46],
-    [32, 33, 41, 40],
-    [29, 31, 39, 47, 45, 37],
-    [28, 30, 38, 46, 44, 36],
-    [25, 27, 35, 43, 41, 33],
-    [24, 26, 34, 42, 40, 32],
-    [11, 13, 21, 29, 37, 35, 27, 19],
-    [10, 12, 20, 28, 36, 34, 26, 18],
-    [14, 15, 23, 31, 39, 38, 30, 22],
-    [8, 9, 17, 25, 33, 32, 24, 16],
-    [21, 23, 31, 29],
-    [20, 22, 30, 28],
-    [17, 19, 27, 25],
-    [16, 18, 26, 24],
-    [3, 5, 13, 11],
-    [2, 4, 12, 10],
-    [5, 7, 15, 23, 21, 13],
-    [4, 6, 14, 22, 20, 12],
-    [1, 3, 11, 19, 17, 9],
-    [0, 2, 10, 18, 16, 8],
-    [0, 1, 3, 5, 7, 6, 4, 2],
-    [6, 7, 15, 14],
-    [0, 1, 9, 8],
-    [91, 93, 141, 139],
-    [90, 92, 140, 138],
-    [94, 95, 143, 142],
-    [88, 89, 137, 136],
-    [93, 95, 143, 191, 189, 141],
-    [92, 94, 142, 190, 188, 140],
-    [89, 91, 139, 187, 185, 137],
-    [88, 90, 138, 186, 184, 136],
-    [139, 141, 189, 237, 285, 283, 235, 187],
-    [138, 140, 188, 236, 284, 282, 234, 186],
-    [142, 143, 191, 239, 287, 286, 238, 190],
-    [136, 137, 185, 233, 281, 280, 232, 184],
-    [189, 191, 239, 237],
-    [188, 190, 238, 236],
-    [185, 187, 235, 233],
-    [184, 186, 234, 232],
-    [283, 285, 333, 331],
-    [282, 284, 332, 330],
-    [237, 239, 287, 335, 333, 285],
-    [236, 238, 286, 334, 332, 284],
-    [233, 235, 283, 331, 329, 281],
-    [232, 234, 282, 330, 328, 280],
-    [286, 287, 335, 334],
-    [280, 281, 329, 328],
-    [328, 329, 331, 333, 335, 334, 332, 330],
-    [39, 47, 95, 143, 135, 87],
-    [38, 46, 94, 142, 134, 86],
-    [86, 87, 135, 134],
-    [38, 39, 87, 86],
-    [134, 135, 143, 142],
-    [83, 85, 133, 131],
-    [37, 45, 93, 141, 133, 85],
-    [35, 43, 91, 139, 131, 83],
-    [35, 37, 85, 83],
-    [131, 133, 141, 139],
-    [82, 84, 132, 130],
-    [36, 44, 92, 140, 132, 84],
-    [34, 42, 90, 138, 130, 82],
-    [34, 36, 84, 82],
-    [130, 132, 140, 138],
-    [33, 41, 89, 137, 129, 81],
-    [32, 40, 88, 136, 128, 80],
-    [80, 81, 129, 128],
-    [32, 33, 81, 80],
-    [128, 129, 137, 136],
-    [31, 39, 87, 79],
-    [135, 143, 191, 183],
-    [77, 85, 133, 181, 173, 125],
-    [29, 37, 85, 77],
-    [133, 141, 189, 181],
-    [79, 87, 135, 183, 175, 127],
-    [125, 127, 175, 173],
-    [29, 31, 79, 127, 125, 77],
-    [173, 175, 183, 191, 189, 181],
-    [30, 38, 86, 78],
-    [134, 142, 190, 182],
-    [76, 84, 132, 180, 172, 124],
-    [28, 36, 84, 76],
-    [132, 140, 188, 180],
-    [78, 86, 134, 182, 174, 126],
-    [124, 126, 174, 172],
-    [28, 30, 78, 126, 124, 76],
-    [172, 174, 182, 190, 188, 180],
-    [25, 33, 81, 73],
-    [129, 137, 185, 177],
-    [75, 83, 131, 179, 171, 123],
-    [27, 35, 83, 75],
-    [131, 139, 187, 179],
-    [73, 81, 129, 177, 169, 121],
-    [121, 123, 171, 169],
-    [25, 27, 75, 123, 121, 73],
-    [169, 171, 179, 187, 185, 177],
-    [24, 32, 80, 72],
-    [128, 136, 184, 176],
-    [74, 82, 130, 178, 170, 122],
-    [26, 34, 82, 74],
-    [130, 138, 186, 178],
-    [72, 80, 128, 176, 168, 120],
-    [120, 122, 170, 168],
-    [24, 26, 74, 122, 120, 72],
-    [168, 170, 178, 186, 184, 176],
-    [23, 31, 79, 71],
-    [22, 30, 78, 70],
-    [15, 23, 71, 63],
-    [14, 22, 70, 62],
-    [62, 63, 71, 79, 87, 86, 78, 70],
-    [14, 15, 63, 62],
-    [21, 29, 77, 69],
-    [19, 27, 75, 67],
-    [59, 61, 69, 77, 85, 83, 75, 67],
-    [13, 21, 69, 61],
-    [11, 19, 67, 59],
-    [11, 13, 61, 59],
-    [20, 28, 76, 68],
-    [18, 26, 74, 66],
-    [58, 60, 68, 76, 84, 82, 74, 66],
-    [12, 20, 68, 60],
-    [10, 18, 66, 58],
-    [10, 12, 60, 58],
-    [183, 191, 239, 231],
-    [182, 190, 238, 230],
-    [231, 239, 287, 279],
-    [230, 238, 286, 278],
-    [134, 135, 183, 231, 279, 278, 230, 182],
-    [278, 279, 287, 286],
-    [17, 25, 73, 65],
-    [16, 24, 72, 64],
-    [9, 17, 65, 57],
-    [8, 16, 64, 56],
-    [56, 57, 65, 73, 81, 80, 72, 64],
-    [8, 9, 57, 56],
-    [181, 189, 237, 229],
-    [179, 187, 235, 227],
-    [131, 133, 181, 229, 277, 275, 227, 179],
-    [229, 237, 285, 277],
-    [227, 235, 283, 275],
-    [275, 277, 285, 283],
-    [180, 188, 236, 228],
-    [178, 186, 234, 226],
-    [130, 132, 180, 228, 276, 274, 226, 178],
-    [228, 236, 284, 276],
-    [226, 234, 282, 274],
-    [274, 276, 284, 282],
-    [177, 185, 233, 225],
-    [176, 184, 232, 224],
-    [225, 233, 281, 273],
-    [224, 232, 280, 272],
-    [128, 129, 177, 225, 273, 272, 224, 176],
-    [272, 273, 281, 280],
-    [69, 77, 125, 117],
-    [71, 79, 127, 119],
-    [117, 119, 127, 125],
-    [21, 23, 71, 119, 117, 69],
-    [68, 76, 124, 116],
-    [70, 78, 126, 118],
-    [116, 118, 126, 124],
-    [20, 22, 70, 118, 116, 68],
-    [173, 181, 229, 221],
-    [175, 183, 231, 223],
-    [173, 175, 223, 221],
-    [221, 223, 231, 239, 237, 229],
-    [172, 180, 228, 220],
-    [174, 182, 230, 222],
-    [172, 174, 222, 220],
-    [220, 222, 230, 238, 236, 228],
-    [67, 75, 123, 115],
-    [65, 73, 121, 113],
-    [113, 115, 123, 121],
-    [17, 19, 67, 115, 113, 65],
-    [66, 74, 122, 114],
-    [64, 72, 120, 112],
-    [112, 114, 122, 120],
-    [16, 18, 66, 114, 112, 64],
-    [171, 179, 227, 219],
-    [169, 177, 225, 217],
-    [169, 171, 219, 217],
-    [217, 219, 227, 235, 233, 225],
-    [170, 178, 226, 218],
-    [168, 176, 224, 216],
-    [168, 170, 218, 216],
-    [216, 218, 226, 234, 232, 224],
-    [62, 63, 111, 110],
-    [63, 71, 119, 167, 159, 111],
-    [62, 70, 118, 166, 158, 110],
-    [119, 127, 175, 223, 271, 263, 215, 167],
-    [118, 126, 174, 222, 270, 262, 214, 166],
-    [223, 231, 279, 327, 319, 271],
-    [222, 230, 278, 326, 318, 270],
-    [278, 279, 327, 326],
-    [159, 167, 215, 207],
-    [158, 166, 214, 206],
-    [263, 271, 319, 311],
-    [262, 270, 318, 310],
-    [110, 111, 159, 207, 255, 254, 206, 158],
-    [302, 303, 311, 319, 327, 326, 318, 310],
-    [207, 215, 263, 311, 303, 255],
-    [206, 214, 262, 310, 302, 254],
-    [254, 255, 303, 302],
-    [7, 15, 63, 111, 103, 55],
-    [6, 14, 62, 110, 102, 54],
-    [6, 7, 55, 54],
-    [54, 55, 103, 102],
-    [102, 103, 111, 110],
-    [5, 7, 55, 53],
-    [61, 69, 117, 165, 157, 109],
-    [117, 119, 167, 165],
-    [5, 13, 61, 109, 101, 53],
-    [103, 111, 159, 151],
-    [53, 55, 103, 151, 149, 101],
-    [101, 109, 157, 149],
-    [149, 151, 159, 167, 165, 157],
-    [4, 6, 54, 52],
-    [60, 68, 116, 164, 156, 108],
-    [116, 118, 166, 164],
-    [4, 12, 60, 108, 100, 52],
-    [102, 110, 158, 150],
-    [52, 54, 102, 150, 148, 100],
-    [100, 108, 156, 148],
-    [148, 150, 158, 166, 164, 156],
-    [3, 5, 53, 51],
-    [2, 4, 52, 50],
-    [1, 3, 51, 49],
-    [0, 2, 50, 48],
-    [0, 1, 49, 48],
-    [48, 49, 51, 53, 55, 54, 52, 50],
-    [117, 125, 173, 221, 269, 261, 213, 165],
-    [221, 223, 271, 269],
-    [165, 167, 215, 213],
-    [261, 263, 271, 269],
-    [213, 215, 263, 261],
-    [116, 124, 172, 220, 268, 260, 212, 164],
-    [220, 222, 270, 268],
-    [164, 166, 214, 212],
-    [260, 262, 270, 268],
-    [212, 214, 262, 260],
-    [59, 61, 109, 107],
-    [3, 11, 59, 107, 99, 51],
-    [51, 53, 101, 99],
-    [99, 101, 109, 107],
-    [58, 60, 108, 106],
-    [2, 10, 58, 106, 98, 50],
-    [50, 52, 100, 98],
-    [98, 100, 108, 106],
-    [59, 67, 115, 163, 155, 107],
-    [221, 229, 277, 325, 317, 269],
-    [275, 277, 325, 323],
-    [115, 123, 171, 219, 267, 259, 211, 163],
-    [219, 227, 275, 323, 315, 267],
-    [157, 165, 213, 205],
-    [261, 269, 317, 309],
-    [155, 163, 211, 203],
-    [259, 267, 315, 307],
-    [107, 109, 157, 205, 253, 251, 203, 155],
-    [299, 301, 309, 317, 325, 323, 315, 307],
-    [205, 213, 261, 309, 301, 253],
-    [203, 211, 259, 307, 299, 251],
-    [251, 253, 301, 299],
-    [1, 9, 57, 105, 97, 49],
-    [57, 65, 113, 161, 153, 105],
-    [113, 115, 163, 161],
-    [97, 105, 153, 145],
-    [49, 51, 99, 147, 145, 97],
-    [99, 107, 155, 147],
-    [145, 147, 155, 163, 161, 153],
-    [0, 8, 56, 104, 96, 48],
-    [56, 57, 105, 104],
-    [48, 49, 97, 96],
-    [96, 97, 105, 104],
-    [58, 66, 114, 162, 154, 106],
-    [56, 64, 112, 160, 152, 104],
-    [112, 114, 162, 160],
-    [96, 104, 152, 144],
-    [48, 50, 98, 146, 144, 96],
-    [98, 106, 154, 146],
-    [144, 146, 154, 162, 160, 152],
-    [279, 287, 335, 383, 375, 327],
-    [333, 335, 383, 381],
-    [277, 285, 333, 381, 373, 325],
-    [319, 327, 375, 367],
-    [365, 367, 375, 383, 381, 373],
-    [317, 325, 373, 365],
-    [269, 271, 319, 367, 365, 317],
-    [278, 286, 334, 382, 374, 326],
-    [334, 335, 383, 382],
-    [374, 375, 383, 382],
-    [326, 327, 375, 374],
-    [220, 228, 276, 324, 316, 268],
-    [332, 334, 382, 380],
-    [276, 284, 332, 380, 372, 324],
-    [318, 326, 374, 366],
-    [364, 366, 374, 382, 380, 372],
-    [316, 324, 372, 364],
-    [268, 270, 318, 366, 364, 316],
-    [274, 276, 324, 322],
-    [114, 122, 170, 218, 266, 258, 210, 162],
-    [218, 226, 274, 322, 314, 266],
-    [156, 164, 212, 204],
-    [260, 268, 316, 308],
-    [154, 162, 210, 202],
-    [258, 266, 314, 306],
-    [106, 108, 156, 204, 252, 250, 202, 154],
-    [298, 300, 308, 316, 324, 322, 314, 306],
-    [204, 212, 260, 308, 300, 252],
-    [202, 210, 258, 306, 298, 250],
-    [250, 252, 300, 298],
-    [331, 333, 381, 379],
-    [275, 283, 331, 379, 371, 323],
-    [371, 373, 381, 379],
-    [323, 325, 373, 371],
-    [330, 332, 380, 378],
-    [274, 282, 330, 378, 370, 322],
-    [370, 372, 380, 378],
-    [322, 324, 372, 370],
-    [113, 121, 169, 217, 265, 257, 209, 161],
-    [217, 219, 267, 265],
-    [161, 163, 211, 209],
-    [257, 259, 267, 265],
-    [209, 211, 259, 257],
-    [112, 120, 168, 216, 264, 256, 208, 160],
-    [216, 218, 266, 264],
-    [160, 162, 210, 208],
-    [256, 258, 266, 264],
-    [208, 210, 258, 256],
-    [329, 331, 379, 377],
-    [328, 330, 378, 376],
-    [328, 329, 377, 376],
-    [376, 377, 379, 381, 383, 382, 380, 378],
-    [273, 281, 329, 377, 369, 321],
-    [217, 225, 273, 321, 313, 265],
-    [313, 321, 369, 361],
-    [361, 363, 371, 379, 377, 369],
-    [315, 323, 371, 363],
-    [265, 267, 315, 363, 361, 313],
-    [272, 280, 328, 376, 368, 320],
-    [216, 224, 272, 320, 312, 264],
-    [312, 320, 368, 360],
-    [360, 362, 370, 378, 376, 368],
-    [314, 322, 370, 362],
-    [264, 266, 314, 362, 360, 312],
-    [272, 273, 321, 320],
-    [368, 369, 377, 376],
-    [320, 321, 369, 368],
-    [153, 161, 209, 201],
-    [152, 160, 208, 200],
-    [257, 265, 313, 305],
-    [256, 264, 312, 304],
-    [104, 105, 153, 201, 249, 248, 200, 152],
-    [296, 297, 305, 313, 321, 320, 312, 304],
-    [201, 209, 257, 305, 297, 249],
-    [200, 208, 256, 304, 296, 248],
-    [248, 249, 297, 296],
-    [151, 159, 207, 199],
-    [149, 157, 205, 197],
-    [149, 151, 199, 197],
-    [197, 199, 207, 215, 213, 205],
-    [150, 158, 206, 198],
-    [148, 156, 204, 196],
-    [148, 150, 198, 196],
-    [196, 198, 206, 214, 212, 204],
-    [311, 319, 367, 359],
-    [309, 317, 365, 357],
-    [357, 359, 367, 365],
-    [261, 263, 311, 359, 357, 309],
-    [310, 318, 366, 358],
-    [308, 316, 364, 356],
-    [356, 358, 366, 364],
-    [260, 262, 310, 358, 356, 308],
-    [145, 153, 201, 193],
-    [147, 155, 203, 195],
-    [145, 147, 195, 193],
-    [193, 195, 203, 211, 209, 201],
-    [144, 152, 200, 192],
-    [146, 154, 202, 194],
-    [144, 146, 194, 192],
-    [192, 194, 202, 210, 208, 200],
-    [305, 313, 361, 353],
-    [307, 315, 363, 355],
-    [353, 355, 363, 361],
-    [257, 259, 307, 355, 353, 305],
-    [304, 312, 360, 352],
-    [306, 314, 362, 354],
-    [352, 354, 362, 360],
-    [256, 258, 306, 354, 352, 304],
-    [199, 207, 255, 247],
-    [198, 206, 254, 246],
-    [102, 103, 151, 199, 247, 246, 198, 150],
-    [246, 247, 255, 254],
-    [99, 101, 149, 197, 245, 243, 195, 147],
-    [197, 205, 253, 245],
-    [195, 203, 251, 243],
-    [243, 245, 253, 251],
-    [98, 100, 148, 196, 244, 242, 194, 146],
-    [196, 204, 252, 244],
-    [194, 202, 250, 242],
-    [242, 244, 252, 250],
-    [303, 311, 359, 351],
-    [302, 310, 358, 350],
-    [350, 351, 359, 367, 375, 374, 366, 358],
-    [302, 303, 351, 350],
-    [193, 201, 249, 241],
-    [192, 200, 248, 240],
-    [96, 97, 145, 193, 241, 240, 192, 144],
-    [240, 241, 249, 248],
-    [347, 349, 357, 365, 373, 371, 363, 355],
-    [301, 309, 357, 349],
-    [299, 307, 355, 347],
-    [299, 301, 349, 347],
-    [346, 348, 356, 364, 372, 370, 362, 354],
-    [300, 308, 356, 348],
-    [298, 306, 354, 346],
-    [298, 300, 348, 346],
-    [297, 305, 353, 345],
-    [296, 304, 352, 344],
-    [344, 345, 353, 361, 369, 368, 360, 352],
-    [296, 297, 345, 344],
-    [247, 255, 303, 351, 343, 295],
-    [197, 199, 247, 295, 293, 245],
-    [341, 343, 351, 359, 357, 349],
-    [293, 295, 343, 341],
-    [245, 253, 301, 349, 341, 293],
-    [246, 254, 302, 350, 342, 294],
-    [196, 198, 246, 294, 292, 244],
-    [340, 342, 350, 358, 356, 348],
-    [292, 294, 342, 340],
-    [244, 252, 300, 348, 340, 292],
-    [241, 249, 297, 345, 337, 289],
-    [193, 195, 243, 291, 289, 241],
-    [337, 339, 347, 355, 353, 345],
-    [289, 291, 339, 337],
-    [243, 251, 299, 347, 339, 291],
-    [240, 248, 296, 344, 336, 288],
-    [192, 194, 242, 290, 288, 240],
-    [336, 338, 346, 354, 352, 344],
-    [288, 290, 338, 336],
-    [242, 250, 298, 346, 338, 290],
-    [246, 247, 295, 294],
-    [342, 343, 351, 350],
-    [294, 295, 343, 342],
-    [243, 245, 293, 291],
-    [339, 341, 349, 347],
-    [291, 293, 341, 339],
-    [242, 244, 292, 290],
-    [338, 340, 348, 346],
-    [290, 292, 340, 338],
-    [240, 241, 289, 288],
-    [336, 337, 345, 344],
-    [288, 289, 337, 336],
-    [288, 289, 291, 293, 295, 294, 292, 290],
-    [336, 337, 339, 341, 343, 342, 340, 338],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
-    [
-      0, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27,
-      28, 29, 30, 31, 32, 33, 34,
-    ],
-    [
-      1, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-      53, 54, 55, 56, 57, 58, 59,
-    ],
-    [4, 12, 37, 60, 61, 62, 63, 64],
-    [2, 10, 35, 65, 66, 67, 68, 69],
-    [3, 11, 36, 70, 71, 72, 73, 74],
-    [9, 13, 38, 75, 76, 77, 78, 79],
-    [66, 5, 14, 39, 60, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    [71, 6, 15, 40, 61, 89, 90, 91, 92, 93, 94, 95, 96, 97],
-    [67, 7, 16, 41, 75, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    [72, 8, 17, 42, 76, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    [63, 20, 80, 89, 116, 117, 118, 119, 120, 121],
-    [68, 83, 101, 18, 122, 123, 124, 125, 126, 127],
-    [73, 92, 110, 19, 128, 129, 130, 131, 132, 133],
-    [64, 45, 81, 90, 134, 135, 136, 137, 138, 139],
-    [78, 21, 98, 107, 140, 141, 142, 143, 144, 145],
-    [69, 84, 102, 43, 146, 147, 148, 149, 150, 151],
-    [74, 93, 111, 44, 152, 153, 154, 155, 156, 157],
-    [79, 46, 99, 108, 158, 159, 160, 161, 162, 163],
-    [87, 22, 122, 116, 164, 165, 166, 167],
-    [96, 23, 128, 117, 168, 169, 170, 171],
-    [88, 47, 146, 134, 172, 173, 174, 175],
-    [97, 48, 152, 135, 176, 177, 178, 179],
-    [105, 24, 123, 140, 180, 181, 182, 183],
-    [114, 25, 129, 141, 184, 185, 186, 187],
-    [106, 49, 147, 158, 188, 189, 190, 191],
-    [115, 50, 153, 159, 192, 193, 194, 195],
-    [
-      62, 85, 94, 120, 138, 165, 169, 173, 177, 196, 197, 198, 199, 200, 201,
-      202, 203, 204, 205, 206, 207, 208, 209, 210, 211, 212,
-    ],
-    [121, 33, 196, 213, 214, 215, 216, 217],
-    [167, 125, 28, 118, 197, 213, 218, 219, 220, 221, 222, 223, 224, 225],
-    [171, 131, 29, 119, 198, 214, 226, 227, 228, 229, 230, 231, 232, 233],
-    [32, 215, 218, 226, 234, 235, 236, 237, 238, 239],
-    [86, 166, 174, 220, 199, 240, 241, 242, 243, 244],
-    [95, 170, 178, 228, 200, 245, 246, 247, 248, 249],
-    [127, 26, 221, 234, 250, 251, 252, 253],
-    [133, 27, 229, 235, 254, 255, 256, 257],
-    [
-      65, 82, 100, 124, 148, 164, 172, 180, 188, 219, 240, 250, 258, 259, 260,
-      261, 262, 263, 264, 265, 266, 267, 268, 269, 270, 271,
-    ],
-    [183, 126, 30, 142, 251, 236, 258, 272, 273, 274, 275, 276, 277, 278],
-    [145, 34, 238, 272, 279, 280, 281, 282],
-    [187, 132, 31, 143, 255, 237, 279, 283, 284, 285, 286, 287, 288, 289],
-    [175, 149, 53, 136, 241, 201, 259, 290, 291, 292, 293, 294, 295, 296],
-    [139, 57, 203, 290, 297, 298, 299, 300],
-    [179, 155, 54, 137, 246, 202, 297, 301, 302, 303, 304, 305, 306, 307],
-    [
-      70, 91, 109, 130, 154, 168, 176, 184, 192, 227, 245, 254, 283, 301, 308,
-      309, 310, 311, 312, 313, 314, 315, 316, 317, 318, 319,
-    ],
-    [151, 51, 292, 260, 320, 321, 322, 323],
-    [157, 52, 303, 308, 324, 325, 326, 327],
-    [104, 182, 190, 274, 261, 328, 329, 330, 331, 332],
-    [113, 186, 194, 285, 309, 333, 334, 335, 336, 337],
-    [59, 298, 291, 302, 320, 324, 338, 339, 340, 341],
-    [191, 150, 55, 160, 321, 329, 262, 338, 342, 343, 344, 345, 346, 347],
-    [195, 156, 56, 161, 325, 334, 310, 339, 348, 349, 350, 351, 352, 353],
-    [163, 58, 340, 342, 348, 354, 355, 356],
-    [
-      77, 103, 112, 144, 162, 181, 185, 189, 193, 280, 273, 284, 328, 333, 343,
-      349, 354, 357, 358, 359, 360, 361, 362, 363, 364, 365,
-    ],
-    [225, 242, 204, 263, 366, 367, 368, 369],
-    [233, 247, 205, 311, 370, 371, 372, 373],
-    [296, 243, 206, 264, 374, 375, 376, 377],
-    [307, 248, 207, 312, 378, 379, 380, 381],
-    [278, 330, 357, 265, 382, 383, 384, 385],
-    [289, 335, 358, 313, 386, 387, 388, 389],
-    [347, 331, 359, 266, 390, 391, 392, 393],
-    [353, 336, 360, 314, 394, 395, 396, 397],
-    [217, 208, 222, 230, 366, 370, 398, 399, 400, 401],
-    [253, 224, 277, 267, 367, 383, 402, 403, 404, 405],
-    [257, 232, 288, 315, 371, 387, 406, 407, 408, 409],
-    [300, 209, 293, 304, 374, 378, 410, 411, 412, 413],
-    [282, 361, 275, 286, 382, 386, 414, 415, 416, 417],
-    [323, 295, 346, 268, 375, 391, 418, 419, 420, 421],
-    [327, 306, 352, 316, 379, 395, 422, 423, 424, 425],
-    [356, 362, 344, 350, 390, 394, 426, 427, 428, 429],
-    [369, 377, 244, 210, 403, 419, 269, 398, 410, 430, 431, 432, 433, 434],
-    [373, 381, 249, 211, 407, 423, 317, 399, 411, 435, 436, 437, 438, 439],
-    [385, 393, 332, 363, 404, 420, 270, 414, 426, 440, 441, 442, 443, 444],
-    [389, 397, 337, 364, 408, 424, 318, 415, 427, 445, 446, 447, 448, 449],
-    [401, 413, 212, 430, 435, 450, 451, 452],
-    [405, 421, 434, 444, 271, 453, 454, 455],
-    [409, 425, 439, 449, 319, 456, 457, 458],
-    [417, 429, 365, 440, 445, 459, 460, 461],
-    [
-      239, 216, 281, 223, 231, 276, 287, 252, 256, 368, 372, 384, 388, 400, 416,
-      402, 406, 431, 436, 441, 446, 450, 459, 453, 456, 462,
-    ],
-    [
-      299, 355, 341, 294, 305, 345, 351, 322, 326, 376, 380, 392, 396, 412, 428,
-      418, 422, 432, 437, 442, 447, 451, 460, 454, 457, 463,
-    ],
-    [452, 433, 438, 443, 448, 461, 455, 458, 462, 463],
-  ],
-}
-
-export default {
-  vertices: [
-    [
-      -0.8651239283050911, -0.3437380602887409, -0.07787073630029495,
-      0.13487607169490895,
-    ],
-    [-0.8651239283050911, -0.3437380602887409, 0.1557414726005899, 0.0],
-    [
-      -0.8651239283050911, -0.18799658768815097, -0.298122439076007,
-      0.13487607169490895,
-    ],
-    [
-      -0.8651239283050911, -0.18799658768815097, 0.032255115087561056,
-      0.3256196415254552,
-    ],
-    [
-      -0.8651239283050911, -0.18799658768815097, 0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      -0.8651239283050911, -0.18799658768815097, 0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      -0.8651239283050911, -0.032255115087561056, -0.18799658768815097,
-      0.3256196415254552,
-    ],
-    [-0.8651239283050911, -0.032255115087561056, 0.37599317537630195, 0.0],
-    [-0.8651239283050911, 0.032255115087561056, -0.37599317537630195, 0.0],
-    [
-      -0.8651239283050911, 0.032255115087561056, 0.18799658768815097,
-      -0.3256196415254552,
-    ],
-    [
-      -0.8651239283050911, 0.18799658768815097, -0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      -0.8651239283050911, 0.18799658768815097, -0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      -0.8651239283050911, 0.18799658768815097, -0.032255115087561056,
-      -0.3256196415254552,
-    ],
-    [
-      -0.8651239283050911, 0.18799658768815097, 0.298122439076007,
-      -0.13487607169490895,
-    ],
-    [-0.8651239283050911, 0.3437380602887409, -0.1557414726005899, 0.0],
-    [
-      -0.8651239283050911, 0.3437380602887409, 0.07787073630029495,
-      -0.13487607169490895,
-    ],
-    [
-      -0.730247856610182, -0.5773502691896257, -0.07787073630029495,
-      0.13487607169490895,
-    ],
-    [-0.730247856610182, -0.5773502691896257, 0.1557414726005899, 0.0],
-    [
-      -0.730247856610182, -0.2658673239884459, -0.5183741418517189,
-      0.13487607169490895,
-    ],
-    [
-      -0.730247856610182, -0.2658673239884459, 0.1423809664754171,
-      0.5163632113560013,
-    ],
-    [
-      -0.730247856610182, -0.2658673239884459, 0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      -0.730247856610182, -0.2658673239884459, 0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [-0.730247856610182, -0.045615621212733895, -0.596244878152014, 0.0],
-    [
-      -0.730247856610182, -0.045615621212733895, 0.298122439076007,
-      -0.5163632113560013,
-    ],
-    [
-      -0.730247856610182, 0.045615621212733895, -0.298122439076007,
-      0.5163632113560013,
-    ],
-    [-0.730247856610182, 0.045615621212733895, 0.596244878152014, 0.0],
-    [
-      -0.730247856610182, 0.2658673239884459, -0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      -0.730247856610182, 0.2658673239884459, -0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      -0.730247856610182, 0.2658673239884459, -0.1423809664754171,
-      -0.5163632113560013,
-    ],
-    [
-      -0.730247856610182, 0.2658673239884459, 0.5183741418517189,
-      -0.13487607169490895,
-    ],
-    [-0.730247856610182, 0.5773502691896257, -0.1557414726005899, 0.0],
-    [
-      -0.730247856610182, 0.5773502691896257, 0.07787073630029495,
-      -0.13487607169490895,
-    ],
-    [
-      -0.5953717849152731, -0.6552210054899208, -0.298122439076007,
-      0.13487607169490895,
-    ],
-    [
-      -0.5953717849152731, -0.6552210054899208, 0.032255115087561056,
-      0.3256196415254552,
-    ],
-    [
-      -0.5953717849152731, -0.6552210054899208, 0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, -0.6552210054899208, 0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, -0.4994795328893308, -0.5183741418517189,
-      0.13487607169490895,
-    ],
-    [
-      -0.5953717849152731, -0.4994795328893308, 0.1423809664754171,
-      0.5163632113560013,
-    ],
-    [
-      -0.5953717849152731, -0.4994795328893308, 0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, -0.4994795328893308, 0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, -0.18799658768815097, -0.628499993239575,
-      0.3256196415254552,
-    ],
-    [
-      -0.5953717849152731, -0.18799658768815097, 0.032255115087561056,
-      0.7071067811865475,
-    ],
-    [
-      -0.5953717849152731, -0.18799658768815097, 0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, -0.18799658768815097, 0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, -0.032255115087561056, -0.5183741418517189,
-      0.5163632113560013,
-    ],
-    [
-      -0.5953717849152731, -0.032255115087561056, -0.18799658768815097,
-      0.7071067811865475,
-    ],
-    [
-      -0.5953717849152731, -0.032255115087561056, 0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, -0.032255115087561056, 0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, 0.032255115087561056, -0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, 0.032255115087561056, -0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, 0.032255115087561056, 0.18799658768815097,
-      -0.7071067811865475,
-    ],
-    [
-      -0.5953717849152731, 0.032255115087561056, 0.5183741418517189,
-      -0.5163632113560013,
-    ],
-    [
-      -0.5953717849152731, 0.18799658768815097, -0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, 0.18799658768815097, -0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, 0.18799658768815097, -0.032255115087561056,
-      -0.7071067811865475,
-    ],
-    [
-      -0.5953717849152731, 0.18799658768815097, 0.628499993239575,
-      -0.3256196415254552,
-    ],
-    [
-      -0.5953717849152731, 0.4994795328893308, -0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, 0.4994795328893308, -0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      -0.5953717849152731, 0.4994795328893308, -0.1423809664754171,
-      -0.5163632113560013,
-    ],
-    [
-      -0.5953717849152731, 0.4994795328893308, 0.5183741418517189,
-      -0.13487607169490895,
-    ],
-    [
-      -0.5953717849152731, 0.6552210054899208, -0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, 0.6552210054899208, -0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      -0.5953717849152731, 0.6552210054899208, -0.032255115087561056,
-      -0.3256196415254552,
-    ],
-    [
-      -0.5953717849152731, 0.6552210054899208, 0.298122439076007,
-      -0.13487607169490895,
-    ],
-    [
-      -0.4604957132203641, -0.7330917417902156, -0.18799658768815097,
-      0.3256196415254552,
-    ],
-    [-0.4604957132203641, -0.7330917417902156, 0.37599317537630195, 0.0],
-    [
-      -0.4604957132203641, -0.42160879658903583, -0.628499993239575,
-      0.3256196415254552,
-    ],
-    [
-      -0.4604957132203641, -0.42160879658903583, 0.032255115087561056,
-      0.7071067811865475,
-    ],
-    [
-      -0.4604957132203641, -0.42160879658903583, 0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, -0.42160879658903583, 0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, -0.11012585138785602, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [-0.4604957132203641, -0.11012585138785602, 0.816496580927726, 0.0],
-    [-0.4604957132203641, 0.11012585138785602, -0.816496580927726, 0.0],
-    [
-      -0.4604957132203641, 0.11012585138785602, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.4604957132203641, 0.42160879658903583, -0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, 0.42160879658903583, -0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      -0.4604957132203641, 0.42160879658903583, -0.032255115087561056,
-      -0.7071067811865475,
-    ],
-    [
-      -0.4604957132203641, 0.42160879658903583, 0.628499993239575,
-      -0.3256196415254552,
-    ],
-    [-0.4604957132203641, 0.7330917417902156, -0.37599317537630195, 0.0],
-    [
-      -0.4604957132203641, 0.7330917417902156, 0.18799658768815097,
-      -0.3256196415254552,
-    ],
-    [-0.4046282150847269, -0.7653468568777768, -0.37599317537630195, 0.0],
-    [
-      -0.4046282150847269, -0.7653468568777768, 0.18799658768815097,
-      -0.3256196415254552,
-    ],
-    [-0.4046282150847269, -0.6096053842771869, -0.596244878152014, 0.0],
-    [
-      -0.4046282150847269, -0.6096053842771869, 0.298122439076007,
-      -0.5163632113560013,
-    ],
-    [
-      -0.4046282150847269, -0.07787073630029495, -0.7842414658401651,
-      -0.3256196415254552,
-    ],
-    [
-      -0.4046282150847269, -0.07787073630029495, 0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      -0.4046282150847269, -0.07787073630029495, 0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      -0.4046282150847269, -0.07787073630029495, 0.674115614452309,
-      0.5163632113560013,
-    ],
-    [
-      -0.4046282150847269, 0.07787073630029495, -0.674115614452309,
-      -0.5163632113560013,
-    ],
-    [
-      -0.4046282150847269, 0.07787073630029495, -0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      -0.4046282150847269, 0.07787073630029495, -0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      -0.4046282150847269, 0.07787073630029495, 0.7842414658401651,
-      0.3256196415254552,
-    ],
-    [
-      -0.4046282150847269, 0.6096053842771869, -0.298122439076007,
-      0.5163632113560013,
-    ],
-    [-0.4046282150847269, 0.6096053842771869, 0.596244878152014, 0.0],
-    [
-      -0.4046282150847269, 0.7653468568777768, -0.18799658768815097,
-      0.3256196415254552,
-    ],
-    [-0.4046282150847269, 0.7653468568777768, 0.37599317537630195, 0.0],
-    [
-      -0.3256196415254552, -0.6552210054899208, -0.298122439076007,
-      0.5163632113560013,
-    ],
-    [-0.3256196415254552, -0.6552210054899208, 0.596244878152014, 0.0],
-    [
-      -0.3256196415254552, -0.4994795328893308, -0.5183741418517189,
-      0.5163632113560013,
-    ],
-    [
-      -0.3256196415254552, -0.4994795328893308, -0.18799658768815097,
-      0.7071067811865475,
-    ],
-    [
-      -0.3256196415254552, -0.4994795328893308, 0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      -0.3256196415254552, -0.4994795328893308, 0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      -0.3256196415254552, -0.3437380602887409, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [-0.3256196415254552, -0.3437380602887409, 0.816496580927726, 0.0],
-    [-0.3256196415254552, 0.3437380602887409, -0.816496580927726, 0.0],
-    [
-      -0.3256196415254552, 0.3437380602887409, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.3256196415254552, 0.4994795328893308, -0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      -0.3256196415254552, 0.4994795328893308, -0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      -0.3256196415254552, 0.4994795328893308, 0.18799658768815097,
-      -0.7071067811865475,
-    ],
-    [
-      -0.3256196415254552, 0.4994795328893308, 0.5183741418517189,
-      -0.5163632113560013,
-    ],
-    [-0.3256196415254552, 0.6552210054899208, -0.596244878152014, 0.0],
-    [
-      -0.3256196415254552, 0.6552210054899208, 0.298122439076007,
-      -0.5163632113560013,
-    ],
-    [
-      -0.2697521433898179, -0.8432175931780717, -0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, -0.8432175931780717, -0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, -0.8432175931780717, -0.032255115087561056,
-      -0.3256196415254552,
-    ],
-    [
-      -0.2697521433898179, -0.8432175931780717, 0.298122439076007,
-      -0.13487607169490895,
-    ],
-    [
-      -0.2697521433898179, -0.5317346479768918, -0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, -0.5317346479768918, -0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, -0.5317346479768918, 0.18799658768815097,
-      -0.7071067811865475,
-    ],
-    [
-      -0.2697521433898179, -0.5317346479768918, 0.5183741418517189,
-      -0.5163632113560013,
-    ],
-    [
-      -0.2697521433898179, -0.3114829452011798, -0.7842414658401651,
-      -0.3256196415254552,
-    ],
-    [
-      -0.2697521433898179, -0.3114829452011798, 0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      -0.2697521433898179, -0.3114829452011798, 0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      -0.2697521433898179, -0.3114829452011798, 0.674115614452309,
-      0.5163632113560013,
-    ],
-    [-0.2697521433898179, 0.0, -0.8943673172280211, -0.13487607169490895],
-    [-0.2697521433898179, 0.0, -0.563989763064453, -0.7071067811865475],
-    [-0.2697521433898179, 0.0, -0.33037755416356807, -0.8419828528814566],
-    [-0.2697521433898179, 0.0, -0.33037755416356807, 0.8419828528814566],
-    [-0.2697521433898179, 0.0, 0.33037755416356807, -0.8419828528814566],
-    [-0.2697521433898179, 0.0, 0.33037755416356807, 0.8419828528814566],
-    [-0.2697521433898179, 0.0, 0.563989763064453, 0.7071067811865475],
-    [-0.2697521433898179, 0.0, 0.8943673172280211, 0.13487607169490895],
-    [
-      -0.2697521433898179, 0.3114829452011798, -0.674115614452309,
-      -0.5163632113560013,
-    ],
-    [
-      -0.2697521433898179, 0.3114829452011798, -0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      -0.2697521433898179, 0.3114829452011798, -0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      -0.2697521433898179, 0.3114829452011798, 0.7842414658401651,
-      0.3256196415254552,
-    ],
-    [
-      -0.2697521433898179, 0.5317346479768918, -0.5183741418517189,
-      0.5163632113560013,
-    ],
-    [
-      -0.2697521433898179, 0.5317346479768918, -0.18799658768815097,
-      0.7071067811865475,
-    ],
-    [
-      -0.2697521433898179, 0.5317346479768918, 0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, 0.5317346479768918, 0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, 0.8432175931780717, -0.298122439076007,
-      0.13487607169490895,
-    ],
-    [
-      -0.2697521433898179, 0.8432175931780717, 0.032255115087561056,
-      0.3256196415254552,
-    ],
-    [
-      -0.2697521433898179, 0.8432175931780717, 0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      -0.2697521433898179, 0.8432175931780717, 0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [-0.13487607169490895, -0.9210883294783667, -0.1557414726005899, 0.0],
-    [
-      -0.13487607169490895, -0.9210883294783667, 0.07787073630029495,
-      -0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, -0.7653468568777768, -0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, -0.7653468568777768, -0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, -0.7653468568777768, -0.1423809664754171,
-      -0.5163632113560013,
-    ],
-    [
-      -0.13487607169490895, -0.7653468568777768, 0.5183741418517189,
-      -0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, -0.6096053842771869, -0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, -0.6096053842771869, -0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, -0.6096053842771869, -0.032255115087561056,
-      -0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, -0.6096053842771869, 0.628499993239575,
-      -0.3256196415254552,
-    ],
-    [-0.13487607169490895, -0.4538639116765969, -0.816496580927726, 0.0],
-    [
-      -0.13487607169490895, -0.4538639116765969, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, -0.38935368150147476, -0.674115614452309,
-      -0.5163632113560013,
-    ],
-    [
-      -0.13487607169490895, -0.38935368150147476, -0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, -0.38935368150147476, -0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, -0.38935368150147476, 0.7842414658401651,
-      0.3256196415254552,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, -0.8943673172280211,
-      -0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, -0.563989763064453,
-      -0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, -0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, -0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, 0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, 0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, 0.563989763064453,
-      0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, -0.23361220890088485, 0.8943673172280211,
-      0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, -0.8943673172280211,
-      -0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, -0.563989763064453,
-      -0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, -0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, -0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, 0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, 0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, 0.563989763064453,
-      0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, 0.23361220890088485, 0.8943673172280211,
-      0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, 0.38935368150147476, -0.7842414658401651,
-      -0.3256196415254552,
-    ],
-    [
-      -0.13487607169490895, 0.38935368150147476, 0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, 0.38935368150147476, 0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      -0.13487607169490895, 0.38935368150147476, 0.674115614452309,
-      0.5163632113560013,
-    ],
-    [
-      -0.13487607169490895, 0.4538639116765969, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [-0.13487607169490895, 0.4538639116765969, 0.816496580927726, 0.0],
-    [
-      -0.13487607169490895, 0.6096053842771869, -0.628499993239575,
-      0.3256196415254552,
-    ],
-    [
-      -0.13487607169490895, 0.6096053842771869, 0.032255115087561056,
-      0.7071067811865475,
-    ],
-    [
-      -0.13487607169490895, 0.6096053842771869, 0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, 0.6096053842771869, 0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, 0.7653468568777768, -0.5183741418517189,
-      0.13487607169490895,
-    ],
-    [
-      -0.13487607169490895, 0.7653468568777768, 0.1423809664754171,
-      0.5163632113560013,
-    ],
-    [
-      -0.13487607169490895, 0.7653468568777768, 0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, 0.7653468568777768, 0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      -0.13487607169490895, 0.9210883294783667, -0.07787073630029495,
-      0.13487607169490895,
-    ],
-    [-0.13487607169490895, 0.9210883294783667, 0.1557414726005899, 0.0],
-    [0.13487607169490895, -0.9210883294783667, -0.1557414726005899, 0.0],
-    [
-      0.13487607169490895, -0.9210883294783667, 0.07787073630029495,
-      -0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, -0.7653468568777768, -0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, -0.7653468568777768, -0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, -0.7653468568777768, -0.1423809664754171,
-      -0.5163632113560013,
-    ],
-    [
-      0.13487607169490895, -0.7653468568777768, 0.5183741418517189,
-      -0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, -0.6096053842771869, -0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, -0.6096053842771869, -0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, -0.6096053842771869, -0.032255115087561056,
-      -0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, -0.6096053842771869, 0.628499993239575,
-      -0.3256196415254552,
-    ],
-    [0.13487607169490895, -0.4538639116765969, -0.816496580927726, 0.0],
-    [
-      0.13487607169490895, -0.4538639116765969, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, -0.38935368150147476, -0.674115614452309,
-      -0.5163632113560013,
-    ],
-    [
-      0.13487607169490895, -0.38935368150147476, -0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, -0.38935368150147476, -0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, -0.38935368150147476, 0.7842414658401651,
-      0.3256196415254552,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, -0.8943673172280211,
-      -0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, -0.563989763064453,
-      -0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, -0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, -0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, 0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, 0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, 0.563989763064453,
-      0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, -0.23361220890088485, 0.8943673172280211,
-      0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, -0.8943673172280211,
-      -0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, -0.563989763064453,
-      -0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, -0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, -0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, 0.33037755416356807,
-      -0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, 0.33037755416356807,
-      0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, 0.563989763064453,
-      0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, 0.23361220890088485, 0.8943673172280211,
-      0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, 0.38935368150147476, -0.7842414658401651,
-      -0.3256196415254552,
-    ],
-    [
-      0.13487607169490895, 0.38935368150147476, 0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, 0.38935368150147476, 0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      0.13487607169490895, 0.38935368150147476, 0.674115614452309,
-      0.5163632113560013,
-    ],
-    [
-      0.13487607169490895, 0.4538639116765969, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [0.13487607169490895, 0.4538639116765969, 0.816496580927726, 0.0],
-    [
-      0.13487607169490895, 0.6096053842771869, -0.628499993239575,
-      0.3256196415254552,
-    ],
-    [
-      0.13487607169490895, 0.6096053842771869, 0.032255115087561056,
-      0.7071067811865475,
-    ],
-    [
-      0.13487607169490895, 0.6096053842771869, 0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, 0.6096053842771869, 0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, 0.7653468568777768, -0.5183741418517189,
-      0.13487607169490895,
-    ],
-    [
-      0.13487607169490895, 0.7653468568777768, 0.1423809664754171,
-      0.5163632113560013,
-    ],
-    [
-      0.13487607169490895, 0.7653468568777768, 0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, 0.7653468568777768, 0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      0.13487607169490895, 0.9210883294783667, -0.07787073630029495,
-      0.13487607169490895,
-    ],
-    [0.13487607169490895, 0.9210883294783667, 0.1557414726005899, 0.0],
-    [
-      0.2697521433898179, -0.8432175931780717, -0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, -0.8432175931780717, -0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, -0.8432175931780717, -0.032255115087561056,
-      -0.3256196415254552,
-    ],
-    [
-      0.2697521433898179, -0.8432175931780717, 0.298122439076007,
-      -0.13487607169490895,
-    ],
-    [
-      0.2697521433898179, -0.5317346479768918, -0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, -0.5317346479768918, -0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, -0.5317346479768918, 0.18799658768815097,
-      -0.7071067811865475,
-    ],
-    [
-      0.2697521433898179, -0.5317346479768918, 0.5183741418517189,
-      -0.5163632113560013,
-    ],
-    [
-      0.2697521433898179, -0.3114829452011798, -0.7842414658401651,
-      -0.3256196415254552,
-    ],
-    [
-      0.2697521433898179, -0.3114829452011798, 0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      0.2697521433898179, -0.3114829452011798, 0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      0.2697521433898179, -0.3114829452011798, 0.674115614452309,
-      0.5163632113560013,
-    ],
-    [0.2697521433898179, 0.0, -0.8943673172280211, -0.13487607169490895],
-    [0.2697521433898179, 0.0, -0.563989763064453, -0.7071067811865475],
-    [0.2697521433898179, 0.0, -0.33037755416356807, -0.8419828528814566],
-    [0.2697521433898179, 0.0, -0.33037755416356807, 0.8419828528814566],
-    [0.2697521433898179, 0.0, 0.33037755416356807, -0.8419828528814566],
-    [0.2697521433898179, 0.0, 0.33037755416356807, 0.8419828528814566],
-    [0.2697521433898179, 0.0, 0.563989763064453, 0.7071067811865475],
-    [0.2697521433898179, 0.0, 0.8943673172280211, 0.13487607169490895],
-    [
-      0.2697521433898179, 0.3114829452011798, -0.674115614452309,
-      -0.5163632113560013,
-    ],
-    [
-      0.2697521433898179, 0.3114829452011798, -0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      0.2697521433898179, 0.3114829452011798, -0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      0.2697521433898179, 0.3114829452011798, 0.7842414658401651,
-      0.3256196415254552,
-    ],
-    [
-      0.2697521433898179, 0.5317346479768918, -0.5183741418517189,
-      0.5163632113560013,
-    ],
-    [
-      0.2697521433898179, 0.5317346479768918, -0.18799658768815097,
-      0.7071067811865475,
-    ],
-    [
-      0.2697521433898179, 0.5317346479768918, 0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, 0.5317346479768918, 0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, 0.8432175931780717, -0.298122439076007,
-      0.13487607169490895,
-    ],
-    [
-      0.2697521433898179, 0.8432175931780717, 0.032255115087561056,
-      0.3256196415254552,
-    ],
-    [
-      0.2697521433898179, 0.8432175931780717, 0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      0.2697521433898179, 0.8432175931780717, 0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      0.3256196415254552, -0.6552210054899208, -0.298122439076007,
-      0.5163632113560013,
-    ],
-    [0.3256196415254552, -0.6552210054899208, 0.596244878152014, 0.0],
-    [
-      0.3256196415254552, -0.4994795328893308, -0.5183741418517189,
-      0.5163632113560013,
-    ],
-    [
-      0.3256196415254552, -0.4994795328893308, -0.18799658768815097,
-      0.7071067811865475,
-    ],
-    [
-      0.3256196415254552, -0.4994795328893308, 0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      0.3256196415254552, -0.4994795328893308, 0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      0.3256196415254552, -0.3437380602887409, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [0.3256196415254552, -0.3437380602887409, 0.816496580927726, 0.0],
-    [0.3256196415254552, 0.3437380602887409, -0.816496580927726, 0.0],
-    [
-      0.3256196415254552, 0.3437380602887409, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.3256196415254552, 0.4994795328893308, -0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      0.3256196415254552, 0.4994795328893308, -0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      0.3256196415254552, 0.4994795328893308, 0.18799658768815097,
-      -0.7071067811865475,
-    ],
-    [
-      0.3256196415254552, 0.4994795328893308, 0.5183741418517189,
-      -0.5163632113560013,
-    ],
-    [0.3256196415254552, 0.6552210054899208, -0.596244878152014, 0.0],
-    [
-      0.3256196415254552, 0.6552210054899208, 0.298122439076007,
-      -0.5163632113560013,
-    ],
-    [0.4046282150847269, -0.7653468568777768, -0.37599317537630195, 0.0],
-    [
-      0.4046282150847269, -0.7653468568777768, 0.18799658768815097,
-      -0.3256196415254552,
-    ],
-    [0.4046282150847269, -0.6096053842771869, -0.596244878152014, 0.0],
-    [
-      0.4046282150847269, -0.6096053842771869, 0.298122439076007,
-      -0.5163632113560013,
-    ],
-    [
-      0.4046282150847269, -0.07787073630029495, -0.7842414658401651,
-      -0.3256196415254552,
-    ],
-    [
-      0.4046282150847269, -0.07787073630029495, 0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      0.4046282150847269, -0.07787073630029495, 0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      0.4046282150847269, -0.07787073630029495, 0.674115614452309,
-      0.5163632113560013,
-    ],
-    [
-      0.4046282150847269, 0.07787073630029495, -0.674115614452309,
-      -0.5163632113560013,
-    ],
-    [
-      0.4046282150847269, 0.07787073630029495, -0.11012585138785602,
-      -0.8419828528814566,
-    ],
-    [
-      0.4046282150847269, 0.07787073630029495, -0.11012585138785602,
-      0.8419828528814566,
-    ],
-    [
-      0.4046282150847269, 0.07787073630029495, 0.7842414658401651,
-      0.3256196415254552,
-    ],
-    [
-      0.4046282150847269, 0.6096053842771869, -0.298122439076007,
-      0.5163632113560013,
-    ],
-    [0.4046282150847269, 0.6096053842771869, 0.596244878152014, 0.0],
-    [
-      0.4046282150847269, 0.7653468568777768, -0.18799658768815097,
-      0.3256196415254552,
-    ],
-    [0.4046282150847269, 0.7653468568777768, 0.37599317537630195, 0.0],
-    [
-      0.4604957132203641, -0.7330917417902156, -0.18799658768815097,
-      0.3256196415254552,
-    ],
-    [0.4604957132203641, -0.7330917417902156, 0.37599317537630195, 0.0],
-    [
-      0.4604957132203641, -0.42160879658903583, -0.628499993239575,
-      0.3256196415254552,
-    ],
-    [
-      0.4604957132203641, -0.42160879658903583, 0.032255115087561056,
-      0.7071067811865475,
-    ],
-    [
-      0.4604957132203641, -0.42160879658903583, 0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, -0.42160879658903583, 0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, -0.11012585138785602, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [0.4604957132203641, -0.11012585138785602, 0.816496580927726, 0.0],
-    [0.4604957132203641, 0.11012585138785602, -0.816496580927726, 0.0],
-    [
-      0.4604957132203641, 0.11012585138785602, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.4604957132203641, 0.42160879658903583, -0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, 0.42160879658903583, -0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      0.4604957132203641, 0.42160879658903583, -0.032255115087561056,
-      -0.7071067811865475,
-    ],
-    [
-      0.4604957132203641, 0.42160879658903583, 0.628499993239575,
-      -0.3256196415254552,
-    ],
-    [0.4604957132203641, 0.7330917417902156, -0.37599317537630195, 0.0],
-    [
-      0.4604957132203641, 0.7330917417902156, 0.18799658768815097,
-      -0.3256196415254552,
-    ],
-    [
-      0.5953717849152731, -0.6552210054899208, -0.298122439076007,
-      0.13487607169490895,
-    ],
-    [
-      0.5953717849152731, -0.6552210054899208, 0.032255115087561056,
-      0.3256196415254552,
-    ],
-    [
-      0.5953717849152731, -0.6552210054899208, 0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, -0.6552210054899208, 0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, -0.4994795328893308, -0.5183741418517189,
-      0.13487607169490895,
-    ],
-    [
-      0.5953717849152731, -0.4994795328893308, 0.1423809664754171,
-      0.5163632113560013,
-    ],
-    [
-      0.5953717849152731, -0.4994795328893308, 0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, -0.4994795328893308, 0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, -0.18799658768815097, -0.628499993239575,
-      0.3256196415254552,
-    ],
-    [
-      0.5953717849152731, -0.18799658768815097, 0.032255115087561056,
-      0.7071067811865475,
-    ],
-    [
-      0.5953717849152731, -0.18799658768815097, 0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, -0.18799658768815097, 0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, -0.032255115087561056, -0.5183741418517189,
-      0.5163632113560013,
-    ],
-    [
-      0.5953717849152731, -0.032255115087561056, -0.18799658768815097,
-      0.7071067811865475,
-    ],
-    [
-      0.5953717849152731, -0.032255115087561056, 0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, -0.032255115087561056, 0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, 0.032255115087561056, -0.70637072953987,
-      -0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, 0.032255115087561056, -0.70637072953987,
-      0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, 0.032255115087561056, 0.18799658768815097,
-      -0.7071067811865475,
-    ],
-    [
-      0.5953717849152731, 0.032255115087561056, 0.5183741418517189,
-      -0.5163632113560013,
-    ],
-    [
-      0.5953717849152731, 0.18799658768815097, -0.596244878152014,
-      -0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, 0.18799658768815097, -0.596244878152014,
-      0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, 0.18799658768815097, -0.032255115087561056,
-      -0.7071067811865475,
-    ],
-    [
-      0.5953717849152731, 0.18799658768815097, 0.628499993239575,
-      -0.3256196415254552,
-    ],
-    [
-      0.5953717849152731, 0.4994795328893308, -0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, 0.4994795328893308, -0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      0.5953717849152731, 0.4994795328893308, -0.1423809664754171,
-      -0.5163632113560013,
-    ],
-    [
-      0.5953717849152731, 0.4994795328893308, 0.5183741418517189,
-      -0.13487607169490895,
-    ],
-    [
-      0.5953717849152731, 0.6552210054899208, -0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, 0.6552210054899208, -0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      0.5953717849152731, 0.6552210054899208, -0.032255115087561056,
-      -0.3256196415254552,
-    ],
-    [
-      0.5953717849152731, 0.6552210054899208, 0.298122439076007,
-      -0.13487607169490895,
-    ],
-    [
-      0.730247856610182, -0.5773502691896257, -0.07787073630029495,
-      0.13487607169490895,
-    ],
-    [0.730247856610182, -0.5773502691896257, 0.1557414726005899, 0.0],
-    [
-      0.730247856610182, -0.2658673239884459, -0.5183741418517189,
-      0.13487607169490895,
-    ],
-    [
-      0.730247856610182, -0.2658673239884459, 0.1423809664754171,
-      0.5163632113560013,
-    ],
-    [
-      0.730247856610182, -0.2658673239884459, 0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      0.730247856610182, -0.2658673239884459, 0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [0.730247856610182, -0.045615621212733895, -0.596244878152014, 0.0],
-    [
-      0.730247856610182, -0.045615621212733895, 0.298122439076007,
-      -0.5163632113560013,
-    ],
-    [
-      0.730247856610182, 0.045615621212733895, -0.298122439076007,
-      0.5163632113560013,
-    ],
-    [0.730247856610182, 0.045615621212733895, 0.596244878152014, 0.0],
-    [
-      0.730247856610182, 0.2658673239884459, -0.37599317537630195,
-      -0.3814871396610924,
-    ],
-    [
-      0.730247856610182, 0.2658673239884459, -0.37599317537630195,
-      0.3814871396610924,
-    ],
-    [
-      0.730247856610182, 0.2658673239884459, -0.1423809664754171,
-      -0.5163632113560013,
-    ],
-    [
-      0.730247856610182, 0.2658673239884459, 0.5183741418517189,
-      -0.13487607169490895,
-    ],
-    [0.730247856610182, 0.5773502691896257, -0.1557414726005899, 0.0],
-    [
-      0.730247856610182, 0.5773502691896257, 0.07787073630029495,
-      -0.13487607169490895,
-    ],
-    [
-      0.8651239283050911, -0.3437380602887409, -0.07787073630029495,
-      0.13487607169490895,
-    ],
-    [0.8651239283050911, -0.3437380602887409, 0.1557414726005899, 0.0],
-    [
-      0.8651239283050911, -0.18799658768815097, -0.298122439076007,
-      0.13487607169490895,
-    ],
-    [
-      0.8651239283050911, -0.18799658768815097, 0.032255115087561056,
-      0.3256196415254552,
-    ],
-    [
-      0.8651239283050911, -0.18799658768815097, 0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      0.8651239283050911, -0.18799658768815097, 0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      0.8651239283050911, -0.032255115087561056, -0.18799658768815097,
-      0.3256196415254552,
-    ],
-    [0.8651239283050911, -0.032255115087561056, 0.37599317537630195, 0.0],
-    [0.8651239283050911, 0.032255115087561056, -0.37599317537630195, 0.0],
-    [
-      0.8651239283050911, 0.032255115087561056, 0.18799658768815097,
-      -0.3256196415254552,
-    ],
-    [
-      0.8651239283050911, 0.18799658768815097, -0.2658673239884459,
-      -0.1907435698305462,
-    ],
-    [
-      0.8651239283050911, 0.18799658768815097, -0.2658673239884459,
-      0.1907435698305462,
-    ],
-    [
-      0.8651239283050911, 0.18799658768815097, -0.032255115087561056,
-      -0.3256196415254552,
-    ],
-    [
-      0.8651239283050911, 0.18799658768815097, 0.298122439076007,
-      -0.13487607169490895,
-    ],
-    [0.8651239283050911, 0.3437380602887409, -0.1557414726005899, 0.0],
-    [
-      0.8651239283050911, 0.3437380602887409, 0.07787073630029495,
-      -0.13487607169490895,
-    ],
-  ],
-  faces: [
-    [0, 1, 4, 9, 12, 10, 8, 2],
-    [3, 5, 7, 13, 15, 14, 11, 6],
-    [1, 4, 7, 5],
-    [8, 10, 14, 11],
-    [0, 2, 6, 3],
-    [9, 12, 15, 13],
-    [0, 1, 5, 3],
-    [2, 6, 11, 8],
-    [4, 7, 13, 9],
-    [10, 12, 15, 14],
-    [0, 1, 17, 16],
-    [2, 8, 22, 18],
-    [0, 2, 18, 36, 32, 16],
-    [1, 4, 20, 38, 34, 17],
-    [8, 10, 26, 52, 48, 22],
-    [4, 9, 23, 20],
-    [10, 12, 28, 26],
-    [32, 36, 82, 80],
-    [16, 17, 34, 81, 114, 112, 80, 32],
-    [18, 22, 48, 84, 120, 116, 82, 36],
-    [80, 82, 116, 150, 146, 112],
-    [34, 38, 83, 81],
-    [48, 52, 88, 84],
-    [9, 12, 28, 54, 50, 23],
-    [85, 89, 126, 162, 157, 121],
-    [50, 54, 89, 85],
-    [112, 114, 148, 146],
-    [116, 120, 156, 150],
-    [118, 121, 157, 152],
-    [125, 126, 162, 161],
-    [20, 23, 50, 85, 121, 118, 83, 38],
-    [26, 28, 54, 89, 126, 125, 88, 52],
-    [81, 83, 118, 152, 148, 114],
-    [84, 88, 125, 161, 156, 120],
-    [146, 148, 152, 157, 162, 161, 156, 150],
-    [7, 13, 29, 25],
-    [14, 15, 31, 30],
-    [13, 15, 31, 63, 59, 29],
-    [3, 5, 21, 19],
-    [6, 11, 27, 24],
-    [5, 7, 25, 47, 43, 21],
-    [11, 14, 30, 61, 57, 27],
-    [59, 63, 95, 93],
-    [25, 29, 59, 93, 139, 135, 91, 47],
-    [30, 31, 63, 95, 143, 141, 94, 61],
-    [3, 6, 24, 45, 41, 19],
-    [43, 47, 91, 87],
-    [57, 61, 94, 92],
-    [93, 95, 143, 189, 185, 139],
-    [41, 45, 90, 86],
-    [86, 90, 134, 178, 173, 129],
-    [135, 139, 185, 179],
-    [141, 143, 189, 187],
-    [19, 21, 43, 87, 130, 129, 86, 41],
-    [24, 27, 57, 92, 137, 134, 90, 45],
-    [129, 130, 174, 173],
-    [134, 137, 183, 178],
-    [87, 91, 135, 179, 174, 130],
-    [92, 94, 141, 187, 183, 137],
-    [173, 174, 179, 185, 189, 187, 183, 178],
-    [1, 5, 21, 39, 35, 17],
-    [0, 3, 19, 37, 33, 16],
-    [19, 21, 39, 37],
-    [16, 17, 35, 33],
-    [33, 35, 39, 37],
-    [8, 11, 27, 53, 49, 22],
-    [2, 6, 24, 44, 40, 18],
-    [24, 27, 53, 44],
-    [18, 22, 49, 40],
-    [40, 44, 53, 49],
-    [4, 7, 25, 46, 42, 20],
-    [9, 13, 29, 55, 51, 23],
-    [20, 23, 51, 42],
-    [25, 29, 55, 46],
-    [42, 46, 55, 51],
-    [10, 14, 30, 60, 56, 26],
-    [12, 15, 31, 62, 58, 28],
-    [26, 28, 58, 56],
-    [30, 31, 62, 60],
-    [56, 58, 62, 60],
-    [16, 32, 64, 33],
-    [18, 36, 66, 40],
-    [41, 45, 70, 102, 99, 67],
-    [19, 37, 67, 41],
-    [24, 44, 70, 45],
-    [32, 36, 66, 98, 96, 64],
-    [96, 98, 102, 99],
-    [33, 37, 67, 99, 96, 64],
-    [40, 44, 70, 102, 98, 66],
-    [20, 38, 68, 42],
-    [21, 39, 69, 43],
-    [17, 34, 65, 35],
-    [25, 46, 71, 47],
-    [34, 38, 68, 100, 97, 65],
-    [35, 39, 69, 101, 97, 65],
-    [42, 46, 71, 103, 100, 68],
-    [43, 47, 71, 103, 101, 69],
-    [97, 100, 103, 101],
-    [26, 52, 74, 56],
-    [27, 53, 75, 57],
-    [30, 60, 78, 61],
-    [22, 48, 72, 49],
-    [48, 52, 74, 106, 104, 72],
-    [49, 53, 75, 107, 104, 72],
-    [56, 60, 78, 110, 106, 74],
-    [57, 61, 78, 110, 107, 75],
-    [104, 106, 110, 107],
-    [29, 55, 77, 59],
-    [31, 62, 79, 63],
-    [50, 54, 76, 108, 105, 73],
-    [23, 50, 73, 51],
-    [28, 54, 76, 58],
-    [59, 63, 79, 111, 109, 77],
-    [105, 108, 111, 109],
-    [51, 55, 77, 109, 105, 73],
-    [58, 62, 79, 111, 108, 76],
-    [32, 64, 113, 80],
-    [34, 65, 115, 81],
-    [33, 35, 65, 115, 145, 144, 113, 64],
-    [80, 112, 144, 113],
-    [81, 114, 145, 115],
-    [112, 114, 145, 144],
-    [36, 66, 117, 82],
-    [48, 72, 124, 84],
-    [40, 49, 72, 124, 160, 154, 117, 66],
-    [84, 120, 160, 124],
-    [116, 120, 160, 154],
-    [82, 116, 154, 117],
-    [38, 68, 119, 83],
-    [50, 73, 128, 85],
-    [85, 121, 164, 128],
-    [83, 118, 155, 119],
-    [118, 121, 164, 155],
-    [42, 51, 73, 128, 164, 155, 119, 68],
-    [43, 69, 123, 87],
-    [41, 67, 122, 86],
-    [86, 122, 165, 129],
-    [87, 123, 166, 130],
-    [129, 130, 166, 165],
-    [37, 39, 69, 123, 166, 165, 122, 67],
-    [52, 74, 132, 88],
-    [54, 76, 133, 89],
-    [89, 126, 170, 133],
-    [88, 125, 169, 132],
-    [125, 126, 170, 169],
-    [56, 58, 76, 133, 170, 169, 132, 74],
-    [57, 75, 136, 92],
-    [45, 70, 127, 90],
-    [90, 127, 171, 134],
-    [92, 136, 180, 137],
-    [134, 137, 180, 171],
-    [44, 53, 75, 136, 180, 171, 127, 70],
-    [47, 71, 131, 91],
-    [59, 77, 138, 93],
-    [46, 55, 77, 138, 181, 175, 131, 71],
-    [91, 131, 175, 135],
-    [135, 139, 181, 175],
-    [93, 138, 181, 139],
-    [61, 78, 140, 94],
-    [63, 79, 142, 95],
-    [60, 62, 79, 142, 191, 190, 140, 78],
-    [95, 142, 191, 143],
-    [94, 140, 190, 141],
-    [141, 143, 191, 190],
-    [96, 98, 151, 147],
-    [64, 96, 147, 113],
-    [66, 98, 151, 117],
-    [80, 82, 117, 151, 147, 113],
-    [65, 97, 149, 115],
-    [68, 100, 153, 119],
-    [97, 100, 153, 149],
-    [81, 83, 119, 153, 149, 115],
-    [67, 99, 158, 122],
-    [70, 102, 163, 127],
-    [86, 90, 127, 163, 158, 122],
-    [99, 102, 163, 158],
-    [71, 103, 167, 131],
-    [69, 101, 159, 123],
-    [101, 103, 167, 159],
-    [87, 91, 131, 167, 159, 123],
-    [72, 104, 168, 124],
-    [74, 106, 176, 132],
-    [104, 106, 176, 168],
-    [84, 88, 132, 176, 168, 124],
-    [73, 105, 172, 128],
-    [76, 108, 177, 133],
-    [85, 89, 133, 177, 172, 128],
-    [105, 108, 177, 172],
-    [78, 110, 186, 140],
-    [75, 107, 182, 136],
-    [107, 110, 186, 182],
-    [92, 94, 140, 186, 182, 136],
-    [109, 111, 188, 184],
-    [77, 109, 184, 138],
-    [79, 111, 188, 142],
-    [93, 95, 142, 188, 184, 138],
-    [144, 145, 193, 192],
-    [115, 145, 193, 243, 197, 149],
-    [113, 144, 192, 241, 195, 147],
-    [97, 101, 159, 207, 277, 273, 197, 149],
-    [122, 158, 206, 250, 213, 165],
-    [96, 99, 158, 206, 275, 272, 195, 147],
-    [165, 166, 214, 213],
-    [123, 159, 207, 251, 214, 166],
-    [197, 243, 305, 273],
-    [192, 193, 243, 305, 323, 321, 304, 241],
-    [195, 241, 304, 272],
-    [273, 277, 309, 327, 323, 305],
-    [207, 251, 309, 277],
-    [206, 250, 307, 275],
-    [321, 323, 327, 325],
-    [213, 214, 251, 309, 327, 325, 307, 250],
-    [272, 275, 307, 325, 321, 304],
-    [112, 144, 192, 240, 194, 146],
-    [114, 145, 193, 242, 196, 148],
-    [146, 148, 196, 194],
-    [192, 193, 242, 240],
-    [194, 196, 242, 240],
-    [146, 150, 198, 194],
-    [147, 151, 199, 195],
-    [116, 150, 198, 244, 202, 154],
-    [117, 151, 199, 245, 202, 154],
-    [192, 240, 288, 241],
-    [194, 198, 244, 290, 288, 240],
-    [195, 199, 245, 290, 288, 241],
-    [202, 244, 290, 245],
-    [149, 153, 201, 197],
-    [118, 152, 200, 246, 203, 155],
-    [148, 152, 200, 196],
-    [119, 153, 201, 247, 203, 155],
-    [193, 242, 289, 243],
-    [197, 201, 247, 291, 289, 243],
-    [203, 246, 291, 247],
-    [196, 200, 246, 291, 289, 242],
-    [150, 156, 204, 198],
-    [152, 157, 205, 200],
-    [157, 162, 210, 205],
-    [156, 161, 209, 204],
-    [161, 162, 210, 209],
-    [194, 196, 200, 205, 210, 209, 204, 198],
-    [158, 163, 211, 206],
-    [98, 102, 163, 211, 278, 274, 199, 151],
-    [195, 199, 274, 272],
-    [206, 211, 278, 275],
-    [272, 274, 278, 275],
-    [100, 103, 167, 215, 279, 276, 201, 153],
-    [159, 167, 215, 207],
-    [197, 201, 276, 273],
-    [207, 215, 279, 277],
-    [273, 276, 279, 277],
-    [154, 160, 208, 202],
-    [120, 156, 204, 248, 208, 160],
-    [202, 208, 248, 244],
-    [198, 204, 248, 244],
-    [155, 164, 212, 203],
-    [121, 157, 205, 249, 212, 164],
-    [200, 205, 249, 246],
-    [203, 212, 249, 246],
-    [124, 160, 208, 252, 216, 168],
-    [127, 163, 211, 255, 219, 171],
-    [104, 107, 182, 230, 283, 280, 216, 168],
-    [171, 180, 228, 219],
-    [136, 180, 228, 264, 230, 182],
-    [216, 252, 312, 280],
-    [202, 208, 252, 312, 337, 328, 306, 245],
-    [199, 245, 306, 274],
-    [280, 283, 315, 341, 337, 312],
-    [230, 264, 315, 283],
-    [211, 255, 310, 278],
-    [328, 332, 341, 337],
-    [219, 228, 264, 315, 341, 332, 310, 255],
-    [274, 278, 310, 332, 328, 306],
-    [125, 161, 209, 253, 217, 169],
-    [168, 176, 224, 216],
-    [132, 169, 217, 260, 224, 176],
-    [208, 248, 292, 252],
-    [216, 224, 260, 296, 292, 252],
-    [217, 253, 296, 260],
-    [204, 209, 253, 296, 292, 248],
-    [126, 162, 210, 254, 218, 170],
-    [169, 170, 218, 217],
-    [209, 210, 254, 253],
-    [217, 218, 254, 253],
-    [128, 164, 212, 256, 220, 172],
-    [172, 177, 225, 220],
-    [133, 170, 218, 261, 225, 177],
-    [212, 249, 293, 256],
-    [218, 254, 297, 261],
-    [205, 210, 254, 297, 293, 249],
-    [220, 225, 261, 297, 293, 256],
-    [129, 165, 213, 257, 221, 173],
-    [173, 178, 226, 221],
-    [134, 171, 219, 262, 226, 178],
-    [213, 250, 294, 257],
-    [219, 255, 298, 262],
-    [206, 211, 255, 298, 294, 250],
-    [221, 226, 262, 298, 294, 257],
-    [130, 166, 214, 258, 222, 174],
-    [173, 174, 222, 221],
-    [213, 214, 258, 257],
-    [221, 222, 258, 257],
-    [131, 167, 215, 259, 223, 175],
-    [135, 175, 223, 263, 227, 179],
-    [174, 179, 227, 222],
-    [223, 259, 299, 263],
-    [207, 215, 259, 299, 295, 251],
-    [214, 251, 295, 258],
-    [222, 227, 263, 299, 295, 258],
-    [175, 181, 229, 223],
-    [138, 181, 229, 266, 232, 184],
-    [105, 109, 184, 232, 285, 281, 220, 172],
-    [215, 259, 311, 279],
-    [223, 229, 266, 317, 343, 334, 311, 259],
-    [201, 247, 308, 276],
-    [276, 279, 311, 334, 330, 308],
-    [232, 266, 317, 285],
-    [220, 256, 313, 281],
-    [330, 334, 343, 339],
-    [203, 212, 256, 313, 339, 330, 308, 247],
-    [281, 285, 317, 343, 339, 313],
-    [178, 183, 231, 226],
-    [137, 180, 228, 265, 231, 183],
-    [219, 228, 265, 262],
-    [226, 231, 265, 262],
-    [179, 185, 233, 227],
-    [139, 181, 229, 267, 233, 185],
-    [223, 229, 267, 263],
-    [227, 233, 267, 263],
-    [182, 186, 234, 230],
-    [106, 110, 186, 234, 286, 282, 224, 176],
-    [216, 224, 282, 280],
-    [230, 234, 286, 283],
-    [280, 282, 286, 283],
-    [184, 188, 236, 232],
-    [108, 111, 188, 236, 287, 284, 225, 177],
-    [232, 236, 287, 285],
-    [220, 225, 284, 281],
-    [281, 284, 287, 285],
-    [185, 189, 237, 233],
-    [187, 189, 237, 235],
-    [183, 187, 235, 231],
-    [221, 222, 227, 233, 237, 235, 231, 226],
-    [140, 186, 234, 268, 238, 190],
-    [141, 187, 235, 269, 238, 190],
-    [238, 268, 302, 269],
-    [230, 234, 268, 302, 300, 264],
-    [228, 264, 300, 265],
-    [231, 235, 269, 302, 300, 265],
-    [142, 188, 236, 270, 239, 191],
-    [143, 189, 237, 271, 239, 191],
-    [239, 270, 303, 271],
-    [232, 236, 270, 303, 301, 266],
-    [233, 237, 271, 303, 301, 267],
-    [229, 266, 301, 267],
-    [190, 191, 239, 238],
-    [238, 239, 271, 269],
-    [235, 237, 271, 269],
-    [234, 268, 318, 286],
-    [238, 239, 270, 319, 350, 348, 318, 268],
-    [224, 260, 314, 282],
-    [282, 286, 318, 348, 344, 314],
-    [236, 270, 319, 287],
-    [225, 261, 316, 284],
-    [344, 346, 350, 348],
-    [217, 218, 261, 316, 346, 344, 314, 260],
-    [284, 287, 319, 350, 346, 316],
-    [241, 288, 320, 304],
-    [245, 290, 324, 306],
-    [288, 290, 324, 320],
-    [272, 274, 306, 324, 320, 304],
-    [247, 291, 326, 308],
-    [243, 289, 322, 305],
-    [273, 276, 308, 326, 322, 305],
-    [289, 291, 326, 322],
-    [250, 294, 329, 307],
-    [255, 298, 333, 310],
-    [275, 278, 310, 333, 329, 307],
-    [294, 298, 333, 329],
-    [251, 295, 331, 309],
-    [259, 299, 335, 311],
-    [277, 279, 311, 335, 331, 309],
-    [295, 299, 335, 331],
-    [260, 296, 340, 314],
-    [252, 292, 336, 312],
-    [280, 282, 314, 340, 336, 312],
-    [292, 296, 340, 336],
-    [256, 293, 338, 313],
-    [261, 297, 342, 316],
-    [281, 284, 316, 342, 338, 313],
-    [293, 297, 342, 338],
-    [264, 300, 345, 315],
-    [268, 302, 349, 318],
-    [283, 286, 318, 349, 345, 315],
-    [300, 302, 349, 345],
-    [266, 301, 347, 317],
-    [270, 303, 351, 319],
-    [301, 303, 351, 347],
-    [285, 287, 319, 351, 347, 317],
-    [305, 322, 353, 323],
-    [304, 320, 352, 321],
-    [240, 242, 289, 322, 353, 352, 320, 288],
-    [321, 323, 353, 352],
-    [306, 324, 354, 328],
-    [244, 248, 292, 336, 358, 354, 324, 290],
-    [312, 336, 358, 337],
-    [328, 337, 358, 354],
-    [308, 326, 356, 330],
-    [330, 339, 359, 356],
-    [313, 338, 359, 339],
-    [246, 249, 293, 338, 359, 356, 326, 291],
-    [309, 327, 357, 331],
-    [325, 327, 357, 355],
-    [307, 325, 355, 329],
-    [257, 258, 295, 331, 357, 355, 329, 294],
-    [314, 340, 362, 344],
-    [344, 346, 364, 362],
-    [316, 342, 364, 346],
-    [253, 254, 297, 342, 364, 362, 340, 296],
-    [315, 341, 363, 345],
-    [332, 341, 363, 360],
-    [310, 332, 360, 333],
-    [262, 265, 300, 345, 363, 360, 333, 298],
-    [317, 343, 365, 347],
-    [263, 267, 301, 347, 365, 361, 335, 299],
-    [311, 334, 361, 335],
-    [334, 343, 365, 361],
-    [318, 348, 366, 349],
-    [319, 350, 367, 351],
-    [269, 271, 303, 351, 367, 366, 349, 302],
-    [348, 350, 367, 366],
-    [320, 324, 354, 370, 368, 352],
-    [321, 325, 355, 371, 368, 352],
-    [328, 332, 360, 374, 370, 354],
-    [368, 370, 374, 371],
-    [329, 333, 360, 374, 371, 355],
-    [322, 326, 356, 372, 369, 353],
-    [323, 327, 357, 373, 369, 353],
-    [330, 334, 361, 375, 372, 356],
-    [331, 335, 361, 375, 373, 357],
-    [369, 372, 375, 373],
-    [336, 340, 362, 378, 376, 358],
-    [337, 341, 363, 379, 376, 358],
-    [344, 348, 366, 382, 378, 362],
-    [345, 349, 366, 382, 379, 363],
-    [376, 378, 382, 379],
-    [347, 351, 367, 383, 381, 365],
-    [339, 343, 365, 381, 377, 359],
-    [346, 350, 367, 383, 380, 364],
-    [377, 380, 383, 381],
-    [338, 342, 364, 380, 377, 359],
-    [352, 353, 369, 368],
-    [355, 357, 373, 371],
-    [368, 369, 373, 371],
-    [354, 358, 376, 370],
-    [360, 363, 379, 374],
-    [370, 374, 379, 376],
-    [361, 365, 381, 375],
-    [356, 359, 377, 372],
-    [372, 375, 381, 377],
-    [366, 367, 383, 382],
-    [362, 364, 380, 378],
-    [378, 380, 383, 382],
-    [368, 369, 372, 377, 380, 378, 376, 370],
-    [371, 373, 375, 381, 383, 382, 379, 374],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
-    [
-      0, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24, 25, 26, 27,
-      28, 29, 30, 31, 32, 33, 34,
-    ],
-    [
-      1, 35, 36, 37, 38, 39, 40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52,
-      53, 54, 55, 56, 57, 58, 59,
-    ],
-    [6, 38, 10, 60, 61, 62, 63, 64],
-    [7, 39, 11, 65, 66, 67, 68, 69],
-    [8, 15, 35, 70, 71, 72, 73, 74],
-    [9, 16, 36, 75, 76, 77, 78, 79],
-    [45, 4, 61, 66, 12, 80, 81, 82, 83, 84, 85, 86, 87, 88],
-    [2, 13, 60, 70, 40, 89, 90, 91, 92, 93, 94, 95, 96, 97],
-    [3, 14, 65, 75, 41, 98, 99, 100, 101, 102, 103, 104, 105, 106],
-    [23, 5, 71, 76, 37, 107, 108, 109, 110, 111, 112, 113, 114, 115],
-    [63, 18, 80, 91, 116, 117, 118, 119, 120, 121],
-    [68, 101, 19, 81, 122, 123, 124, 125, 126, 127],
-    [30, 110, 72, 89, 128, 129, 130, 131, 132, 133],
-    [53, 83, 62, 90, 134, 135, 136, 137, 138, 139],
-    [31, 111, 77, 98, 140, 141, 142, 143, 144, 145],
-    [54, 84, 67, 99, 146, 147, 148, 149, 150, 151],
-    [73, 92, 43, 107, 152, 153, 154, 155, 156, 157],
-    [78, 44, 108, 100, 158, 159, 160, 161, 162, 163],
-    [85, 17, 116, 122, 164, 165, 166, 167],
-    [21, 93, 117, 128, 168, 169, 170, 171],
-    [49, 82, 135, 147, 172, 173, 174, 175],
-    [46, 96, 152, 134, 176, 177, 178, 179],
-    [22, 102, 123, 140, 180, 181, 182, 183],
-    [25, 109, 129, 141, 184, 185, 186, 187],
-    [47, 105, 158, 146, 188, 189, 190, 191],
-    [112, 42, 153, 159, 192, 193, 194, 195],
-    [
-      87, 139, 64, 172, 165, 94, 177, 118, 168, 196, 197, 198, 199, 200, 201,
-      202, 203, 204, 205, 206, 207, 208, 209, 210, 211, 212,
-    ],
-    [26, 121, 196, 213, 214, 215, 216, 217],
-    [127, 20, 167, 119, 213, 198, 218, 219, 220, 221, 222, 223, 224, 225],
-    [32, 131, 171, 120, 214, 197, 226, 227, 228, 229, 230, 231, 232, 233],
-    [34, 228, 215, 218, 234, 235, 236, 237, 238, 239],
-    [86, 175, 164, 201, 219, 240, 241, 242, 243, 244],
-    [97, 170, 178, 199, 226, 245, 246, 247, 248, 249],
-    [27, 126, 220, 234, 250, 251, 252, 253],
-    [28, 132, 227, 235, 254, 255, 256, 257],
-    [
-      88, 151, 69, 173, 166, 103, 189, 124, 180, 241, 221, 250, 258, 259, 260,
-      261, 262, 263, 264, 265, 266, 267, 268, 269, 270, 271,
-    ],
-    [33, 143, 183, 125, 237, 251, 258, 272, 273, 274, 275, 276, 277, 278],
-    [29, 144, 238, 272, 279, 280, 281, 282],
-    [24, 186, 130, 142, 255, 236, 279, 283, 284, 285, 286, 287, 288, 289],
-    [174, 50, 136, 148, 200, 240, 259, 290, 291, 292, 293, 294, 295, 296],
-    [138, 55, 202, 290, 297, 298, 299, 300],
-    [57, 137, 179, 155, 203, 246, 297, 301, 302, 303, 304, 305, 306, 307],
-    [
-      114, 133, 74, 184, 169, 95, 193, 154, 176, 229, 254, 245, 283, 301, 308,
-      309, 310, 311, 312, 313, 314, 315, 316, 317, 318, 319,
-    ],
-    [150, 56, 292, 261, 320, 321, 322, 323],
-    [51, 156, 302, 308, 324, 325, 326, 327],
-    [106, 182, 190, 273, 260, 328, 329, 330, 331, 332],
-    [113, 187, 192, 310, 284, 333, 334, 335, 336, 337],
-    [59, 298, 303, 291, 320, 324, 338, 339, 340, 341],
-    [58, 149, 191, 162, 262, 340, 321, 328, 342, 343, 344, 345, 346, 347],
-    [157, 195, 48, 161, 309, 325, 333, 338, 348, 349, 350, 351, 352, 353],
-    [52, 163, 339, 343, 349, 354, 355, 356],
-    [
-      115, 145, 79, 185, 181, 104, 194, 160, 188, 274, 280, 334, 285, 329, 348,
-      342, 354, 357, 358, 359, 360, 361, 362, 363, 364, 365,
-    ],
-    [224, 206, 265, 242, 366, 367, 368, 369],
-    [231, 247, 313, 204, 370, 371, 372, 373],
-    [243, 295, 209, 268, 374, 375, 376, 377],
-    [305, 248, 208, 311, 378, 379, 380, 381],
-    [276, 330, 359, 263, 382, 383, 384, 385],
-    [336, 289, 316, 362, 386, 387, 388, 389],
-    [345, 331, 267, 357, 390, 391, 392, 393],
-    [351, 315, 361, 335, 394, 395, 396, 397],
-    [216, 230, 222, 205, 366, 371, 398, 399, 400, 401],
-    [225, 252, 275, 264, 367, 383, 402, 403, 404, 405],
-    [318, 257, 232, 286, 386, 370, 406, 407, 408, 409],
-    [211, 299, 306, 293, 374, 378, 410, 411, 412, 413],
-    [364, 282, 277, 287, 387, 382, 414, 415, 416, 417],
-    [270, 322, 346, 294, 375, 390, 418, 419, 420, 421],
-    [353, 326, 304, 312, 379, 394, 422, 423, 424, 425],
-    [355, 344, 350, 358, 391, 395, 426, 427, 428, 429],
-    [212, 271, 244, 369, 412, 420, 376, 399, 402, 430, 431, 432, 433, 434],
-    [249, 372, 207, 314, 380, 424, 398, 406, 410, 435, 436, 437, 438, 439],
-    [332, 384, 266, 360, 392, 404, 426, 414, 418, 440, 441, 442, 443, 444],
-    [319, 365, 337, 397, 408, 416, 388, 422, 427, 445, 446, 447, 448, 449],
-    [210, 401, 411, 431, 436, 450, 451, 452],
-    [269, 405, 419, 432, 441, 453, 454, 455],
-    [317, 425, 407, 446, 437, 456, 457, 458],
-    [363, 429, 415, 447, 442, 459, 460, 461],
-    [
-      239, 233, 278, 256, 281, 409, 417, 217, 253, 288, 389, 223, 373, 385, 449,
-      400, 403, 368, 435, 440, 457, 460, 430, 450, 453, 462,
-    ],
-    [
-      341, 307, 347, 413, 421, 300, 323, 327, 356, 377, 296, 434, 381, 393, 352,
-      423, 428, 396, 451, 454, 438, 443, 445, 456, 459, 463,
-    ],
-    [452, 455, 458, 461, 433, 448, 439, 444, 462, 463],
-  ],
-}
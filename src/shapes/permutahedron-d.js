@@ -1,1361 +0,0 @@
-export const permutahedronDIrregular = {
-  vertices: [
-    [-1.0, -1.6666666666666667, -1.0, -1.0],
-    [-1.0, -1.6666666666666667, -1.0, -0.6666666666666666],
-    [-1.0, -1.6666666666666667, -0.6666666666666666, -1.0],
-    [-1.0, -1.6666666666666667, -0.6666666666666666, -0.6666666666666666],
-    [-1.0, -1.3333333333333333, -1.0, -1.0],
-    [-1.0, -1.3333333333333333, -1.0, -0.3333333333333333],
-    [-1.0, -1.3333333333333333, -0.3333333333333333, -1.0],
-    [-1.0, -1.3333333333333333, -0.3333333333333333, -0.3333333333333333],
-    [-1.0, -1.0, -1.0, -0.6666666666666666],
-    [-1.0, -1.0, -1.0, -0.3333333333333333],
-    [-1.0, -1.0, -0.6666666666666666, -1.0],
-    [-1.0, -1.0, -0.6666666666666666, 0.0],
-    [-1.0, -1.0, -0.3333333333333333, -1.0],
-    [-1.0, -1.0, -0.3333333333333333, 0.0],
-    [-1.0, -1.0, 0.0, -0.6666666666666666],
-    [-1.0, -1.0, 0.0, -0.3333333333333333],
-    [-1.0, -0.6666666666666666, -0.6666666666666666, -0.6666666666666666],
-    [-1.0, -0.6666666666666666, -0.6666666666666666, 0.0],
-    [-1.0, -0.6666666666666666, 0.0, -0.6666666666666666],
-    [-1.0, -0.6666666666666666, 0.0, 0.0],
-    [-1.0, -0.3333333333333333, -0.3333333333333333, -0.3333333333333333],
-    [-1.0, -0.3333333333333333, -0.3333333333333333, 0.0],
-    [-1.0, -0.3333333333333333, 0.0, -0.3333333333333333],
-    [-1.0, -0.3333333333333333, 0.0, 0.0],
-    [-0.6666666666666666, -1.6666666666666667, -1.0, -1.0],
-    [-0.6666666666666666, -1.6666666666666667, -1.0, -0.6666666666666666],
-    [-0.6666666666666666, -1.6666666666666667, -0.6666666666666666, -1.0],
-    [
-      -0.6666666666666666, -1.6666666666666667, -0.6666666666666666,
-      -0.6666666666666666,
-    ],
-    [-0.6666666666666666, -1.0, -1.0, -1.0],
-    [-0.6666666666666666, -1.0, -1.0, 0.0],
-    [-0.6666666666666666, -1.0, 0.0, -1.0],
-    [-0.6666666666666666, -1.0, 0.0, 0.0],
-    [-0.6666666666666666, -0.6666666666666666, -1.0, -0.6666666666666666],
-    [-0.6666666666666666, -0.6666666666666666, -1.0, 0.0],
-    [-0.6666666666666666, -0.6666666666666666, -0.6666666666666666, -1.0],
-    [
-      -0.6666666666666666, -0.6666666666666666, -0.6666666666666666,
-      0.3333333333333333,
-    ],
-    [-0.6666666666666666, -0.6666666666666666, 0.0, -1.0],
-    [-0.6666666666666666, -0.6666666666666666, 0.0, 0.3333333333333333],
-    [
-      -0.6666666666666666, -0.6666666666666666, 0.3333333333333333,
-      -0.6666666666666666,
-    ],
-    [-0.6666666666666666, -0.6666666666666666, 0.3333333333333333, 0.0],
-    [
-      -0.6666666666666666, -0.3333333333333333, -0.6666666666666666,
-      -0.6666666666666666,
-    ],
-    [
-      -0.6666666666666666, -0.3333333333333333, -0.6666666666666666,
-      0.3333333333333333,
-    ],
-    [
-      -0.6666666666666666, -0.3333333333333333, 0.3333333333333333,
-      -0.6666666666666666,
-    ],
-    [
-      -0.6666666666666666, -0.3333333333333333, 0.3333333333333333,
-      0.3333333333333333,
-    ],
-    [-0.6666666666666666, 0.3333333333333333, 0.0, 0.0],
-    [-0.6666666666666666, 0.3333333333333333, 0.0, 0.3333333333333333],
-    [-0.6666666666666666, 0.3333333333333333, 0.3333333333333333, 0.0],
-    [
-      -0.6666666666666666, 0.3333333333333333, 0.3333333333333333,
-      0.3333333333333333,
-    ],
-    [-0.3333333333333333, -1.3333333333333333, -1.0, -1.0],
-    [-0.3333333333333333, -1.3333333333333333, -1.0, -0.3333333333333333],
-    [-0.3333333333333333, -1.3333333333333333, -0.3333333333333333, -1.0],
-    [
-      -0.3333333333333333, -1.3333333333333333, -0.3333333333333333,
-      -0.3333333333333333,
-    ],
-    [-0.3333333333333333, -1.0, -1.0, -1.0],
-    [-0.3333333333333333, -1.0, -1.0, 0.0],
-    [-0.3333333333333333, -1.0, 0.0, -1.0],
-    [-0.3333333333333333, -1.0, 0.0, 0.0],
-    [-0.3333333333333333, -0.3333333333333333, -1.0, -0.3333333333333333],
-    [-0.3333333333333333, -0.3333333333333333, -1.0, 0.0],
-    [-0.3333333333333333, -0.3333333333333333, -0.3333333333333333, -1.0],
-    [
-      -0.3333333333333333, -0.3333333333333333, -0.3333333333333333,
-      0.6666666666666666,
-    ],
-    [-0.3333333333333333, -0.3333333333333333, 0.0, -1.0],
-    [-0.3333333333333333, -0.3333333333333333, 0.0, 0.6666666666666666],
-    [
-      -0.3333333333333333, -0.3333333333333333, 0.6666666666666666,
-      -0.3333333333333333,
-    ],
-    [-0.3333333333333333, -0.3333333333333333, 0.6666666666666666, 0.0],
-    [
-      -0.3333333333333333, 0.3333333333333333, -0.3333333333333333,
-      -0.3333333333333333,
-    ],
-    [
-      -0.3333333333333333, 0.3333333333333333, -0.3333333333333333,
-      0.6666666666666666,
-    ],
-    [
-      -0.3333333333333333, 0.3333333333333333, 0.6666666666666666,
-      -0.3333333333333333,
-    ],
-    [
-      -0.3333333333333333, 0.3333333333333333, 0.6666666666666666,
-      0.6666666666666666,
-    ],
-    [-0.3333333333333333, 0.6666666666666666, 0.0, 0.0],
-    [-0.3333333333333333, 0.6666666666666666, 0.0, 0.6666666666666666],
-    [-0.3333333333333333, 0.6666666666666666, 0.6666666666666666, 0.0],
-    [
-      -0.3333333333333333, 0.6666666666666666, 0.6666666666666666,
-      0.6666666666666666,
-    ],
-    [0.0, -1.0, -1.0, -0.6666666666666666],
-    [0.0, -1.0, -1.0, -0.3333333333333333],
-    [0.0, -1.0, -0.6666666666666666, -1.0],
-    [0.0, -1.0, -0.6666666666666666, 0.0],
-    [0.0, -1.0, -0.3333333333333333, -1.0],
-    [0.0, -1.0, -0.3333333333333333, 0.0],
-    [0.0, -1.0, 0.0, -0.6666666666666666],
-    [0.0, -1.0, 0.0, -0.3333333333333333],
-    [0.0, -0.6666666666666666, -1.0, -0.6666666666666666],
-    [0.0, -0.6666666666666666, -1.0, 0.0],
-    [0.0, -0.6666666666666666, -0.6666666666666666, -1.0],
-    [0.0, -0.6666666666666666, -0.6666666666666666, 0.3333333333333333],
-    [0.0, -0.6666666666666666, 0.0, -1.0],
-    [0.0, -0.6666666666666666, 0.0, 0.3333333333333333],
-    [0.0, -0.6666666666666666, 0.3333333333333333, -0.6666666666666666],
-    [0.0, -0.6666666666666666, 0.3333333333333333, 0.0],
-    [0.0, -0.3333333333333333, -1.0, -0.3333333333333333],
-    [0.0, -0.3333333333333333, -1.0, 0.0],
-    [0.0, -0.3333333333333333, -0.3333333333333333, -1.0],
-    [0.0, -0.3333333333333333, -0.3333333333333333, 0.6666666666666666],
-    [0.0, -0.3333333333333333, 0.0, -1.0],
-    [0.0, -0.3333333333333333, 0.0, 0.6666666666666666],
-    [0.0, -0.3333333333333333, 0.6666666666666666, -0.3333333333333333],
-    [0.0, -0.3333333333333333, 0.6666666666666666, 0.0],
-    [0.0, 0.3333333333333333, -0.6666666666666666, 0.0],
-    [0.0, 0.3333333333333333, -0.6666666666666666, 0.3333333333333333],
-    [0.0, 0.3333333333333333, 0.0, -0.6666666666666666],
-    [0.0, 0.3333333333333333, 0.0, 1.0],
-    [0.0, 0.3333333333333333, 0.3333333333333333, -0.6666666666666666],
-    [0.0, 0.3333333333333333, 0.3333333333333333, 1.0],
-    [0.0, 0.3333333333333333, 1.0, 0.0],
-    [0.0, 0.3333333333333333, 1.0, 0.3333333333333333],
-    [0.0, 0.6666666666666666, -0.3333333333333333, 0.0],
-    [0.0, 0.6666666666666666, -0.3333333333333333, 0.6666666666666666],
-    [0.0, 0.6666666666666666, 0.0, -0.3333333333333333],
-    [0.0, 0.6666666666666666, 0.0, 1.0],
-    [0.0, 0.6666666666666666, 0.6666666666666666, -0.3333333333333333],
-    [0.0, 0.6666666666666666, 0.6666666666666666, 1.0],
-    [0.0, 0.6666666666666666, 1.0, 0.0],
-    [0.0, 0.6666666666666666, 1.0, 0.6666666666666666],
-    [0.0, 1.0, 0.0, 0.3333333333333333],
-    [0.0, 1.0, 0.0, 0.6666666666666666],
-    [0.0, 1.0, 0.3333333333333333, 0.0],
-    [0.0, 1.0, 0.3333333333333333, 1.0],
-    [0.0, 1.0, 0.6666666666666666, 0.0],
-    [0.0, 1.0, 0.6666666666666666, 1.0],
-    [0.0, 1.0, 1.0, 0.3333333333333333],
-    [0.0, 1.0, 1.0, 0.6666666666666666],
-    [
-      0.3333333333333333, -0.6666666666666666, -0.6666666666666666,
-      -0.6666666666666666,
-    ],
-    [0.3333333333333333, -0.6666666666666666, -0.6666666666666666, 0.0],
-    [0.3333333333333333, -0.6666666666666666, 0.0, -0.6666666666666666],
-    [0.3333333333333333, -0.6666666666666666, 0.0, 0.0],
-    [
-      0.3333333333333333, -0.3333333333333333, -0.6666666666666666,
-      -0.6666666666666666,
-    ],
-    [
-      0.3333333333333333, -0.3333333333333333, -0.6666666666666666,
-      0.3333333333333333,
-    ],
-    [
-      0.3333333333333333, -0.3333333333333333, 0.3333333333333333,
-      -0.6666666666666666,
-    ],
-    [
-      0.3333333333333333, -0.3333333333333333, 0.3333333333333333,
-      0.3333333333333333,
-    ],
-    [0.3333333333333333, 0.3333333333333333, -0.6666666666666666, 0.0],
-    [
-      0.3333333333333333, 0.3333333333333333, -0.6666666666666666,
-      0.3333333333333333,
-    ],
-    [0.3333333333333333, 0.3333333333333333, 0.0, -0.6666666666666666],
-    [0.3333333333333333, 0.3333333333333333, 0.0, 1.0],
-    [
-      0.3333333333333333, 0.3333333333333333, 0.3333333333333333,
-      -0.6666666666666666,
-    ],
-    [0.3333333333333333, 0.3333333333333333, 0.3333333333333333, 1.0],
-    [0.3333333333333333, 0.3333333333333333, 1.0, 0.0],
-    [0.3333333333333333, 0.3333333333333333, 1.0, 0.3333333333333333],
-    [0.3333333333333333, 1.0, 0.0, 0.0],
-    [0.3333333333333333, 1.0, 0.0, 1.0],
-    [0.3333333333333333, 1.0, 1.0, 0.0],
-    [0.3333333333333333, 1.0, 1.0, 1.0],
-    [
-      0.3333333333333333, 1.3333333333333333, 0.3333333333333333,
-      0.3333333333333333,
-    ],
-    [0.3333333333333333, 1.3333333333333333, 0.3333333333333333, 1.0],
-    [0.3333333333333333, 1.3333333333333333, 1.0, 0.3333333333333333],
-    [0.3333333333333333, 1.3333333333333333, 1.0, 1.0],
-    [
-      0.6666666666666666, -0.3333333333333333, -0.3333333333333333,
-      -0.3333333333333333,
-    ],
-    [0.6666666666666666, -0.3333333333333333, -0.3333333333333333, 0.0],
-    [0.6666666666666666, -0.3333333333333333, 0.0, -0.3333333333333333],
-    [0.6666666666666666, -0.3333333333333333, 0.0, 0.0],
-    [
-      0.6666666666666666, 0.3333333333333333, -0.3333333333333333,
-      -0.3333333333333333,
-    ],
-    [
-      0.6666666666666666, 0.3333333333333333, -0.3333333333333333,
-      0.6666666666666666,
-    ],
-    [
-      0.6666666666666666, 0.3333333333333333, 0.6666666666666666,
-      -0.3333333333333333,
-    ],
-    [
-      0.6666666666666666, 0.3333333333333333, 0.6666666666666666,
-      0.6666666666666666,
-    ],
-    [0.6666666666666666, 0.6666666666666666, -0.3333333333333333, 0.0],
-    [
-      0.6666666666666666, 0.6666666666666666, -0.3333333333333333,
-      0.6666666666666666,
-    ],
-    [0.6666666666666666, 0.6666666666666666, 0.0, -0.3333333333333333],
-    [0.6666666666666666, 0.6666666666666666, 0.0, 1.0],
-    [
-      0.6666666666666666, 0.6666666666666666, 0.6666666666666666,
-      -0.3333333333333333,
-    ],
-    [0.6666666666666666, 0.6666666666666666, 0.6666666666666666, 1.0],
-    [0.6666666666666666, 0.6666666666666666, 1.0, 0.0],
-    [0.6666666666666666, 0.6666666666666666, 1.0, 0.6666666666666666],
-    [0.6666666666666666, 1.0, 0.0, 0.0],
-    [0.6666666666666666, 1.0, 0.0, 1.0],
-    [0.6666666666666666, 1.0, 1.0, 0.0],
-    [0.6666666666666666, 1.0, 1.0, 1.0],
-    [
-      0.6666666666666666, 1.6666666666666667, 0.6666666666666666,
-      0.6666666666666666,
-    ],
-    [0.6666666666666666, 1.6666666666666667, 0.6666666666666666, 1.0],
-    [0.6666666666666666, 1.6666666666666667, 1.0, 0.6666666666666666],
-    [0.6666666666666666, 1.6666666666666667, 1.0, 1.0],
-    [1.0, 0.3333333333333333, 0.0, 0.0],
-    [1.0, 0.3333333333333333, 0.0, 0.3333333333333333],
-    [1.0, 0.3333333333333333, 0.3333333333333333, 0.0],
-    [1.0, 0.3333333333333333, 0.3333333333333333, 0.3333333333333333],
-    [1.0, 0.6666666666666666, 0.0, 0.0],
-    [1.0, 0.6666666666666666, 0.0, 0.6666666666666666],
-    [1.0, 0.6666666666666666, 0.6666666666666666, 0.0],
-    [1.0, 0.6666666666666666, 0.6666666666666666, 0.6666666666666666],
-    [1.0, 1.0, 0.0, 0.3333333333333333],
-    [1.0, 1.0, 0.0, 0.6666666666666666],
-    [1.0, 1.0, 0.3333333333333333, 0.0],
-    [1.0, 1.0, 0.3333333333333333, 1.0],
-    [1.0, 1.0, 0.6666666666666666, 0.0],
-    [1.0, 1.0, 0.6666666666666666, 1.0],
-    [1.0, 1.0, 1.0, 0.3333333333333333],
-    [1.0, 1.0, 1.0, 0.6666666666666666],
-    [1.0, 1.3333333333333333, 0.3333333333333333, 0.3333333333333333],
-    [1.0, 1.3333333333333333, 0.3333333333333333, 1.0],
-    [1.0, 1.3333333333333333, 1.0, 0.3333333333333333],
-    [1.0, 1.3333333333333333, 1.0, 1.0],
-    [1.0, 1.6666666666666667, 0.6666666666666666, 0.6666666666666666],
-    [1.0, 1.6666666666666667, 0.6666666666666666, 1.0],
-    [1.0, 1.6666666666666667, 1.0, 0.6666666666666666],
-    [1.0, 1.6666666666666667, 1.0, 1.0],
-  ],
-  faces: [
-    [20, 21, 23, 22],
-    [21, 23, 47, 45],
-    [22, 23, 47, 46],
-    [20, 21, 45, 44],
-    [20, 22, 46, 44],
-    [44, 45, 47, 46],
-    [7, 13, 19, 15],
-    [15, 19, 43, 39],
-    [7, 15, 39, 31],
-    [13, 19, 43, 37],
-    [7, 13, 37, 31],
-    [31, 37, 43, 39],
-    [5, 9, 17, 11],
-    [9, 17, 41, 33],
-    [5, 9, 33, 29],
-    [11, 17, 41, 35],
-    [5, 11, 35, 29],
-    [29, 33, 41, 35],
-    [6, 12, 18, 14],
-    [14, 18, 42, 38],
-    [6, 14, 38, 30],
-    [12, 18, 42, 36],
-    [6, 12, 36, 30],
-    [30, 36, 42, 38],
-    [67, 71, 119, 111],
-    [71, 117, 143, 119],
-    [111, 119, 143, 139],
-    [67, 71, 117, 109],
-    [67, 109, 139, 111],
-    [109, 117, 143, 139],
-    [4, 8, 16, 10],
-    [8, 16, 40, 32],
-    [4, 8, 32, 28],
-    [10, 16, 40, 34],
-    [4, 10, 34, 28],
-    [28, 32, 40, 34],
-    [65, 69, 113, 105],
-    [69, 113, 141, 115],
-    [105, 113, 141, 137],
-    [65, 69, 115, 107],
-    [65, 105, 137, 107],
-    [107, 115, 141, 137],
-    [66, 70, 118, 110],
-    [70, 116, 142, 118],
-    [110, 118, 142, 138],
-    [66, 70, 116, 108],
-    [66, 108, 138, 110],
-    [108, 116, 142, 138],
-    [64, 68, 112, 104],
-    [68, 112, 140, 114],
-    [104, 112, 140, 136],
-    [64, 68, 114, 106],
-    [64, 104, 136, 106],
-    [106, 114, 140, 136],
-    [11, 13, 19, 23, 21, 17],
-    [14, 15, 19, 23, 22, 18],
-    [8, 9, 17, 21, 20, 16],
-    [10, 12, 18, 22, 20, 16],
-    [1, 3, 7, 13, 11, 5],
-    [2, 3, 7, 15, 14, 6],
-    [0, 1, 5, 9, 8, 4],
-    [0, 2, 6, 12, 10, 4],
-    [0, 1, 3, 2],
-    [19, 23, 47, 71, 67, 43],
-    [17, 21, 45, 69, 65, 41],
-    [45, 47, 71, 117, 115, 69],
-    [11, 13, 37, 61, 59, 35],
-    [37, 43, 67, 109, 101, 61],
-    [35, 41, 65, 107, 99, 59],
-    [99, 101, 109, 117, 115, 107],
-    [59, 61, 101, 99],
-    [18, 22, 46, 70, 66, 42],
-    [46, 47, 71, 119, 118, 70],
-    [14, 15, 39, 63, 62, 38],
-    [39, 43, 67, 111, 103, 63],
-    [38, 42, 66, 110, 102, 62],
-    [102, 103, 111, 119, 118, 110],
-    [62, 63, 103, 102],
-    [16, 20, 44, 68, 64, 40],
-    [44, 45, 69, 113, 112, 68],
-    [8, 9, 33, 57, 56, 32],
-    [33, 41, 65, 105, 97, 57],
-    [32, 40, 64, 104, 96, 56],
-    [96, 97, 105, 113, 112, 104],
-    [56, 57, 97, 96],
-    [44, 46, 70, 116, 114, 68],
-    [10, 12, 36, 60, 58, 34],
-    [36, 42, 66, 108, 100, 60],
-    [34, 40, 64, 106, 98, 58],
-    [98, 100, 108, 116, 114, 106],
-    [58, 60, 100, 98],
-    [115, 117, 143, 167, 165, 141],
-    [118, 119, 143, 167, 166, 142],
-    [112, 113, 141, 165, 164, 140],
-    [114, 116, 142, 166, 164, 140],
-    [164, 165, 167, 166],
-    [0, 1, 25, 24],
-    [0, 2, 26, 24],
-    [1, 3, 27, 25],
-    [2, 3, 27, 26],
-    [24, 25, 27, 26],
-    [59, 61, 93, 91],
-    [61, 93, 133, 101],
-    [59, 91, 131, 99],
-    [99, 101, 133, 131],
-    [91, 93, 133, 131],
-    [62, 63, 95, 94],
-    [63, 95, 135, 103],
-    [62, 94, 134, 102],
-    [102, 103, 135, 134],
-    [94, 95, 135, 134],
-    [3, 7, 31, 55, 51, 27],
-    [31, 37, 61, 93, 85, 55],
-    [1, 5, 29, 53, 49, 25],
-    [29, 35, 59, 91, 83, 53],
-    [25, 27, 51, 77, 75, 49],
-    [75, 77, 85, 93, 91, 83],
-    [51, 55, 85, 77],
-    [49, 53, 83, 75],
-    [31, 39, 63, 95, 87, 55],
-    [2, 6, 30, 54, 50, 26],
-    [30, 38, 62, 94, 86, 54],
-    [26, 27, 51, 79, 78, 50],
-    [78, 79, 87, 95, 94, 86],
-    [51, 55, 87, 79],
-    [50, 54, 86, 78],
-    [101, 109, 139, 163, 157, 133],
-    [103, 111, 139, 163, 159, 135],
-    [85, 93, 133, 157, 151, 127],
-    [87, 95, 135, 159, 151, 127],
-    [55, 85, 127, 87],
-    [151, 157, 163, 159],
-    [29, 33, 57, 89, 81, 53],
-    [0, 4, 28, 52, 48, 24],
-    [28, 32, 56, 88, 80, 52],
-    [56, 57, 89, 88],
-    [24, 25, 49, 73, 72, 48],
-    [72, 73, 81, 89, 88, 80],
-    [49, 53, 81, 73],
-    [48, 52, 80, 72],
-    [99, 107, 137, 161, 155, 131],
-    [97, 105, 137, 161, 153, 129],
-    [57, 89, 129, 97],
-    [83, 91, 131, 155, 149, 125],
-    [81, 89, 129, 153, 149, 125],
-    [53, 81, 125, 83],
-    [149, 153, 161, 155],
-    [30, 36, 60, 92, 84, 54],
-    [28, 34, 58, 90, 82, 52],
-    [58, 60, 92, 90],
-    [24, 26, 50, 76, 74, 48],
-    [74, 76, 84, 92, 90, 82],
-    [50, 54, 84, 76],
-    [48, 52, 82, 74],
-    [139, 143, 167, 191, 187, 163],
-    [137, 141, 165, 189, 185, 161],
-    [165, 167, 191, 189],
-    [131, 133, 157, 181, 179, 155],
-    [179, 181, 187, 191, 189, 185],
-    [157, 163, 187, 181],
-    [155, 161, 185, 179],
-    [102, 110, 138, 162, 158, 134],
-    [100, 108, 138, 162, 156, 132],
-    [60, 92, 132, 100],
-    [86, 94, 134, 158, 150, 126],
-    [84, 92, 132, 156, 150, 126],
-    [54, 84, 126, 86],
-    [150, 156, 162, 158],
-    [138, 142, 166, 190, 186, 162],
-    [166, 167, 191, 190],
-    [134, 135, 159, 183, 182, 158],
-    [182, 183, 187, 191, 190, 186],
-    [159, 163, 187, 183],
-    [158, 162, 186, 182],
-    [56, 88, 128, 96],
-    [58, 90, 130, 98],
-    [96, 104, 136, 160, 152, 128],
-    [98, 106, 136, 160, 154, 130],
-    [80, 88, 128, 152, 148, 124],
-    [82, 90, 130, 154, 148, 124],
-    [52, 80, 124, 82],
-    [148, 152, 160, 154],
-    [96, 97, 129, 128],
-    [164, 165, 189, 188],
-    [136, 140, 164, 188, 184, 160],
-    [128, 129, 153, 177, 176, 152],
-    [176, 177, 185, 189, 188, 184],
-    [153, 161, 185, 177],
-    [152, 160, 184, 176],
-    [98, 100, 132, 130],
-    [164, 166, 190, 188],
-    [130, 132, 156, 180, 178, 154],
-    [178, 180, 186, 190, 188, 184],
-    [156, 162, 186, 180],
-    [154, 160, 184, 178],
-    [88, 89, 129, 128],
-    [90, 92, 132, 130],
-    [188, 189, 191, 190],
-    [51, 77, 123, 79],
-    [49, 73, 121, 75],
-    [50, 76, 122, 78],
-    [48, 72, 120, 74],
-    [75, 77, 123, 147, 145, 121],
-    [78, 79, 123, 147, 146, 122],
-    [72, 73, 121, 145, 144, 120],
-    [74, 76, 122, 146, 144, 120],
-    [144, 145, 147, 146],
-    [77, 85, 127, 123],
-    [75, 83, 125, 121],
-    [151, 157, 181, 175],
-    [149, 155, 179, 173],
-    [123, 127, 151, 175, 171, 147],
-    [121, 125, 149, 173, 169, 145],
-    [169, 171, 175, 181, 179, 173],
-    [145, 147, 171, 169],
-    [79, 87, 127, 123],
-    [78, 86, 126, 122],
-    [151, 159, 183, 175],
-    [150, 158, 182, 174],
-    [122, 126, 150, 174, 170, 146],
-    [170, 171, 175, 183, 182, 174],
-    [146, 147, 171, 170],
-    [73, 81, 125, 121],
-    [72, 80, 124, 120],
-    [149, 153, 177, 173],
-    [148, 152, 176, 172],
-    [120, 124, 148, 172, 168, 144],
-    [168, 169, 173, 177, 176, 172],
-    [144, 145, 169, 168],
-    [76, 84, 126, 122],
-    [74, 82, 124, 120],
-    [150, 156, 180, 174],
-    [148, 154, 178, 172],
-    [168, 170, 174, 180, 178, 172],
-    [144, 146, 170, 168],
-    [175, 181, 187, 183],
-    [173, 177, 185, 179],
-    [174, 180, 186, 182],
-    [172, 176, 184, 178],
-    [168, 169, 171, 170],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5],
-    [6, 7, 8, 9, 10, 11],
-    [12, 13, 14, 15, 16, 17],
-    [18, 19, 20, 21, 22, 23],
-    [24, 25, 26, 27, 28, 29],
-    [30, 31, 32, 33, 34, 35],
-    [36, 37, 38, 39, 40, 41],
-    [42, 43, 44, 45, 46, 47],
-    [48, 49, 50, 51, 52, 53],
-    [0, 54, 55, 56, 57, 58, 59, 60, 61, 6, 12, 18, 30, 62],
-    [1, 54, 63, 64, 65, 66, 67, 68, 69, 9, 15, 27, 39, 70],
-    [2, 55, 63, 71, 72, 73, 74, 75, 76, 7, 19, 24, 42, 77],
-    [3, 56, 64, 78, 79, 80, 81, 82, 83, 13, 31, 36, 48, 84],
-    [4, 57, 71, 78, 85, 86, 87, 88, 89, 21, 33, 45, 51, 90],
-    [5, 65, 72, 79, 85, 91, 92, 93, 94, 25, 37, 43, 49, 95],
-    [62, 96, 97, 98, 99, 100],
-    [70, 101, 102, 103, 104, 105],
-    [77, 106, 107, 108, 109, 110],
-    [10, 16, 58, 66, 111, 112, 113, 114, 98, 101, 115, 116, 117, 118],
-    [8, 20, 59, 73, 111, 119, 120, 121, 99, 106, 122, 123, 124, 125],
-    [11, 28, 67, 74, 112, 119, 126, 127, 102, 107, 128, 129, 130, 131],
-    [14, 32, 60, 80, 96, 113, 132, 133, 134, 135, 136, 137, 138, 139],
-    [17, 40, 68, 81, 103, 114, 132, 140, 141, 142, 143, 144, 145, 146],
-    [22, 34, 61, 86, 97, 120, 133, 147, 148, 149, 150, 151, 152, 153],
-    [29, 41, 69, 91, 104, 126, 140, 154, 155, 156, 157, 158, 159, 160],
-    [23, 46, 75, 87, 108, 121, 147, 161, 162, 163, 164, 165, 166, 167],
-    [26, 44, 76, 92, 109, 127, 154, 161, 168, 169, 170, 171, 172, 173],
-    [35, 52, 82, 88, 174, 175, 134, 148, 176, 177, 178, 179, 180, 181],
-    [38, 50, 83, 93, 182, 183, 141, 155, 176, 184, 185, 186, 187, 188],
-    [47, 53, 89, 94, 189, 190, 162, 168, 177, 184, 191, 192, 193, 194],
-    [84, 135, 142, 174, 182, 195],
-    [90, 149, 163, 175, 189, 196],
-    [95, 183, 190, 156, 169, 197],
-    [100, 198, 199, 200, 201, 115, 122, 136, 150, 202, 203, 204, 205, 206],
-    [105, 207, 208, 209, 210, 116, 128, 143, 157, 202, 211, 212, 213, 214],
-    [110, 215, 216, 217, 218, 123, 129, 164, 170, 203, 211, 219, 220, 221],
-    [195, 222, 223, 224, 225, 137, 144, 178, 185, 204, 212, 226, 227, 228],
-    [196, 229, 230, 231, 232, 151, 165, 179, 191, 205, 219, 226, 233, 234],
-    [197, 235, 236, 237, 238, 158, 171, 186, 192, 213, 220, 227, 233, 239],
-    [117, 130, 207, 124, 198, 215],
-    [118, 145, 208, 138, 199, 222],
-    [152, 166, 229, 125, 200, 216],
-    [131, 159, 209, 172, 217, 235],
-    [153, 180, 230, 139, 201, 223],
-    [146, 160, 210, 187, 224, 236],
-    [167, 193, 231, 173, 218, 237],
-    [181, 194, 232, 188, 225, 238],
-    [206, 214, 221, 228, 234, 239],
-  ],
-}
-
-export default {
-  vertices: [
-    [-0.8333333333333333, -0.28867513459481287, 0.0, 0.0],
-    [-0.8333333333333333, -0.09622504486493763, -0.2721655269759087, 0.0],
-    [
-      -0.8333333333333333, -0.09622504486493763, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.8333333333333333, -0.09622504486493763, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      -0.8333333333333333, 0.09622504486493763, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.8333333333333333, 0.09622504486493763, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [-0.8333333333333333, 0.09622504486493763, 0.2721655269759087, 0.0],
-    [-0.8333333333333333, 0.28867513459481287, 0.0, 0.0],
-    [-0.6666666666666667, -0.5773502691896257, 0.0, 0.0],
-    [-0.6666666666666667, -0.19245008972987526, -0.5443310539518174, 0.0],
-    [
-      -0.6666666666666667, -0.19245008972987526, 0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      -0.6666666666666667, -0.19245008972987526, 0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [
-      -0.6666666666666667, 0.19245008972987526, -0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      -0.6666666666666667, 0.19245008972987526, -0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [-0.6666666666666667, 0.19245008972987526, 0.5443310539518174, 0.0],
-    [-0.6666666666666667, 0.5773502691896257, 0.0, 0.0],
-    [-0.5, -0.6735753140545635, -0.2721655269759087, 0.0],
-    [-0.5, -0.6735753140545635, 0.13608276348795434, -0.23570226039551584],
-    [-0.5, -0.6735753140545635, 0.13608276348795434, 0.23570226039551584],
-    [-0.5, -0.4811252243246882, -0.5443310539518174, 0.0],
-    [-0.5, -0.4811252243246882, 0.2721655269759087, -0.4714045207910317],
-    [-0.5, -0.4811252243246882, 0.2721655269759087, 0.4714045207910317],
-    [-0.5, -0.09622504486493763, -0.6804138174397716, -0.23570226039551584],
-    [-0.5, -0.09622504486493763, -0.6804138174397716, 0.23570226039551584],
-    [-0.5, -0.09622504486493763, 0.13608276348795434, -0.7071067811865475],
-    [-0.5, -0.09622504486493763, 0.13608276348795434, 0.7071067811865475],
-    [-0.5, -0.09622504486493763, 0.5443310539518174, -0.4714045207910317],
-    [-0.5, -0.09622504486493763, 0.5443310539518174, 0.4714045207910317],
-    [-0.5, 0.09622504486493763, -0.5443310539518174, -0.4714045207910317],
-    [-0.5, 0.09622504486493763, -0.5443310539518174, 0.4714045207910317],
-    [-0.5, 0.09622504486493763, -0.13608276348795434, -0.7071067811865475],
-    [-0.5, 0.09622504486493763, -0.13608276348795434, 0.7071067811865475],
-    [-0.5, 0.09622504486493763, 0.6804138174397716, -0.23570226039551584],
-    [-0.5, 0.09622504486493763, 0.6804138174397716, 0.23570226039551584],
-    [-0.5, 0.4811252243246882, -0.2721655269759087, -0.4714045207910317],
-    [-0.5, 0.4811252243246882, -0.2721655269759087, 0.4714045207910317],
-    [-0.5, 0.4811252243246882, 0.5443310539518174, 0.0],
-    [-0.5, 0.6735753140545635, -0.13608276348795434, -0.23570226039551584],
-    [-0.5, 0.6735753140545635, -0.13608276348795434, 0.23570226039551584],
-    [-0.5, 0.6735753140545635, 0.2721655269759087, 0.0],
-    [
-      -0.33333333333333337, -0.769800358919501, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.33333333333333337, -0.769800358919501, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [-0.33333333333333337, -0.769800358919501, 0.2721655269759087, 0.0],
-    [
-      -0.33333333333333337, -0.3849001794597505, -0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      -0.33333333333333337, -0.3849001794597505, -0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [
-      -0.33333333333333337, -0.3849001794597505, 0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      -0.33333333333333337, -0.3849001794597505, 0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      -0.33333333333333337, -0.3849001794597505, 0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      -0.33333333333333337, -0.3849001794597505, 0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [-0.33333333333333337, 0.0, -0.816496580927726, 0.0],
-    [-0.33333333333333337, 0.0, -0.408248290463863, -0.7071067811865475],
-    [-0.33333333333333337, 0.0, -0.408248290463863, 0.7071067811865475],
-    [-0.33333333333333337, 0.0, 0.408248290463863, -0.7071067811865475],
-    [-0.33333333333333337, 0.0, 0.408248290463863, 0.7071067811865475],
-    [-0.33333333333333337, 0.0, 0.816496580927726, 0.0],
-    [
-      -0.33333333333333337, 0.3849001794597505, -0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      -0.33333333333333337, 0.3849001794597505, -0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [
-      -0.33333333333333337, 0.3849001794597505, -0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      -0.33333333333333337, 0.3849001794597505, -0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      -0.33333333333333337, 0.3849001794597505, 0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      -0.33333333333333337, 0.3849001794597505, 0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [-0.33333333333333337, 0.769800358919501, -0.2721655269759087, 0.0],
-    [
-      -0.33333333333333337, 0.769800358919501, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      -0.33333333333333337, 0.769800358919501, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [-0.16666666666666669, -0.8660254037844386, 0.0, 0.0],
-    [
-      -0.16666666666666669, -0.6735753140545635, -0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      -0.16666666666666669, -0.6735753140545635, -0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [-0.16666666666666669, -0.6735753140545635, 0.5443310539518174, 0.0],
-    [
-      -0.16666666666666669, -0.4811252243246882, -0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      -0.16666666666666669, -0.4811252243246882, -0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [
-      -0.16666666666666669, -0.4811252243246882, -0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, -0.4811252243246882, -0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, -0.4811252243246882, 0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      -0.16666666666666669, -0.4811252243246882, 0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [-0.16666666666666669, -0.28867513459481287, -0.816496580927726, 0.0],
-    [
-      -0.16666666666666669, -0.28867513459481287, -0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, -0.28867513459481287, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, -0.28867513459481287, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, -0.28867513459481287, 0.408248290463863,
-      0.7071067811865475,
-    ],
-    [-0.16666666666666669, -0.28867513459481287, 0.816496580927726, 0.0],
-    [-0.16666666666666669, 0.28867513459481287, -0.816496580927726, 0.0],
-    [
-      -0.16666666666666669, 0.28867513459481287, -0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, 0.28867513459481287, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, 0.28867513459481287, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, 0.28867513459481287, 0.408248290463863,
-      0.7071067811865475,
-    ],
-    [-0.16666666666666669, 0.28867513459481287, 0.816496580927726, 0.0],
-    [
-      -0.16666666666666669, 0.4811252243246882, -0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      -0.16666666666666669, 0.4811252243246882, -0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [
-      -0.16666666666666669, 0.4811252243246882, 0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, 0.4811252243246882, 0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      -0.16666666666666669, 0.4811252243246882, 0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      -0.16666666666666669, 0.4811252243246882, 0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [-0.16666666666666669, 0.6735753140545635, -0.5443310539518174, 0.0],
-    [
-      -0.16666666666666669, 0.6735753140545635, 0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      -0.16666666666666669, 0.6735753140545635, 0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [-0.16666666666666669, 0.8660254037844386, 0.0, 0.0],
-    [0.16666666666666669, -0.8660254037844386, 0.0, 0.0],
-    [
-      0.16666666666666669, -0.6735753140545635, -0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      0.16666666666666669, -0.6735753140545635, -0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [0.16666666666666669, -0.6735753140545635, 0.5443310539518174, 0.0],
-    [
-      0.16666666666666669, -0.4811252243246882, -0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      0.16666666666666669, -0.4811252243246882, -0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [
-      0.16666666666666669, -0.4811252243246882, -0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, -0.4811252243246882, -0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, -0.4811252243246882, 0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      0.16666666666666669, -0.4811252243246882, 0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [0.16666666666666669, -0.28867513459481287, -0.816496580927726, 0.0],
-    [
-      0.16666666666666669, -0.28867513459481287, -0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, -0.28867513459481287, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, -0.28867513459481287, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, -0.28867513459481287, 0.408248290463863,
-      0.7071067811865475,
-    ],
-    [0.16666666666666669, -0.28867513459481287, 0.816496580927726, 0.0],
-    [0.16666666666666669, 0.28867513459481287, -0.816496580927726, 0.0],
-    [
-      0.16666666666666669, 0.28867513459481287, -0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, 0.28867513459481287, -0.408248290463863,
-      0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, 0.28867513459481287, 0.408248290463863,
-      -0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, 0.28867513459481287, 0.408248290463863,
-      0.7071067811865475,
-    ],
-    [0.16666666666666669, 0.28867513459481287, 0.816496580927726, 0.0],
-    [
-      0.16666666666666669, 0.4811252243246882, -0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      0.16666666666666669, 0.4811252243246882, -0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [
-      0.16666666666666669, 0.4811252243246882, 0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, 0.4811252243246882, 0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      0.16666666666666669, 0.4811252243246882, 0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      0.16666666666666669, 0.4811252243246882, 0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [0.16666666666666669, 0.6735753140545635, -0.5443310539518174, 0.0],
-    [
-      0.16666666666666669, 0.6735753140545635, 0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      0.16666666666666669, 0.6735753140545635, 0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [0.16666666666666669, 0.8660254037844386, 0.0, 0.0],
-    [
-      0.33333333333333337, -0.769800358919501, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.33333333333333337, -0.769800358919501, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [0.33333333333333337, -0.769800358919501, 0.2721655269759087, 0.0],
-    [
-      0.33333333333333337, -0.3849001794597505, -0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      0.33333333333333337, -0.3849001794597505, -0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [
-      0.33333333333333337, -0.3849001794597505, 0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      0.33333333333333337, -0.3849001794597505, 0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      0.33333333333333337, -0.3849001794597505, 0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      0.33333333333333337, -0.3849001794597505, 0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [0.33333333333333337, 0.0, -0.816496580927726, 0.0],
-    [0.33333333333333337, 0.0, -0.408248290463863, -0.7071067811865475],
-    [0.33333333333333337, 0.0, -0.408248290463863, 0.7071067811865475],
-    [0.33333333333333337, 0.0, 0.408248290463863, -0.7071067811865475],
-    [0.33333333333333337, 0.0, 0.408248290463863, 0.7071067811865475],
-    [0.33333333333333337, 0.0, 0.816496580927726, 0.0],
-    [
-      0.33333333333333337, 0.3849001794597505, -0.5443310539518174,
-      -0.4714045207910317,
-    ],
-    [
-      0.33333333333333337, 0.3849001794597505, -0.5443310539518174,
-      0.4714045207910317,
-    ],
-    [
-      0.33333333333333337, 0.3849001794597505, -0.13608276348795434,
-      -0.7071067811865475,
-    ],
-    [
-      0.33333333333333337, 0.3849001794597505, -0.13608276348795434,
-      0.7071067811865475,
-    ],
-    [
-      0.33333333333333337, 0.3849001794597505, 0.6804138174397716,
-      -0.23570226039551584,
-    ],
-    [
-      0.33333333333333337, 0.3849001794597505, 0.6804138174397716,
-      0.23570226039551584,
-    ],
-    [0.33333333333333337, 0.769800358919501, -0.2721655269759087, 0.0],
-    [
-      0.33333333333333337, 0.769800358919501, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.33333333333333337, 0.769800358919501, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [0.5, -0.6735753140545635, -0.2721655269759087, 0.0],
-    [0.5, -0.6735753140545635, 0.13608276348795434, -0.23570226039551584],
-    [0.5, -0.6735753140545635, 0.13608276348795434, 0.23570226039551584],
-    [0.5, -0.4811252243246882, -0.5443310539518174, 0.0],
-    [0.5, -0.4811252243246882, 0.2721655269759087, -0.4714045207910317],
-    [0.5, -0.4811252243246882, 0.2721655269759087, 0.4714045207910317],
-    [0.5, -0.09622504486493763, -0.6804138174397716, -0.23570226039551584],
-    [0.5, -0.09622504486493763, -0.6804138174397716, 0.23570226039551584],
-    [0.5, -0.09622504486493763, 0.13608276348795434, -0.7071067811865475],
-    [0.5, -0.09622504486493763, 0.13608276348795434, 0.7071067811865475],
-    [0.5, -0.09622504486493763, 0.5443310539518174, -0.4714045207910317],
-    [0.5, -0.09622504486493763, 0.5443310539518174, 0.4714045207910317],
-    [0.5, 0.09622504486493763, -0.5443310539518174, -0.4714045207910317],
-    [0.5, 0.09622504486493763, -0.5443310539518174, 0.4714045207910317],
-    [0.5, 0.09622504486493763, -0.13608276348795434, -0.7071067811865475],
-    [0.5, 0.09622504486493763, -0.13608276348795434, 0.7071067811865475],
-    [0.5, 0.09622504486493763, 0.6804138174397716, -0.23570226039551584],
-    [0.5, 0.09622504486493763, 0.6804138174397716, 0.23570226039551584],
-    [0.5, 0.4811252243246882, -0.2721655269759087, -0.4714045207910317],
-    [0.5, 0.4811252243246882, -0.2721655269759087, 0.4714045207910317],
-    [0.5, 0.4811252243246882, 0.5443310539518174, 0.0],
-    [0.5, 0.6735753140545635, -0.13608276348795434, -0.23570226039551584],
-    [0.5, 0.6735753140545635, -0.13608276348795434, 0.23570226039551584],
-    [0.5, 0.6735753140545635, 0.2721655269759087, 0.0],
-    [0.6666666666666667, -0.5773502691896257, 0.0, 0.0],
-    [0.6666666666666667, -0.19245008972987526, -0.5443310539518174, 0.0],
-    [
-      0.6666666666666667, -0.19245008972987526, 0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      0.6666666666666667, -0.19245008972987526, 0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [
-      0.6666666666666667, 0.19245008972987526, -0.2721655269759087,
-      -0.4714045207910317,
-    ],
-    [
-      0.6666666666666667, 0.19245008972987526, -0.2721655269759087,
-      0.4714045207910317,
-    ],
-    [0.6666666666666667, 0.19245008972987526, 0.5443310539518174, 0.0],
-    [0.6666666666666667, 0.5773502691896257, 0.0, 0.0],
-    [0.8333333333333333, -0.28867513459481287, 0.0, 0.0],
-    [0.8333333333333333, -0.09622504486493763, -0.2721655269759087, 0.0],
-    [
-      0.8333333333333333, -0.09622504486493763, 0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.8333333333333333, -0.09622504486493763, 0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [
-      0.8333333333333333, 0.09622504486493763, -0.13608276348795434,
-      -0.23570226039551584,
-    ],
-    [
-      0.8333333333333333, 0.09622504486493763, -0.13608276348795434,
-      0.23570226039551584,
-    ],
-    [0.8333333333333333, 0.09622504486493763, 0.2721655269759087, 0.0],
-    [0.8333333333333333, 0.28867513459481287, 0.0, 0.0],
-  ],
-  faces: [
-    [0, 2, 6, 3],
-    [1, 4, 7, 5],
-    [0, 1, 4, 2],
-    [0, 1, 5, 3],
-    [2, 4, 7, 6],
-    [3, 5, 7, 6],
-    [0, 1, 9, 19, 16, 8],
-    [0, 2, 10, 20, 17, 8],
-    [2, 4, 12, 30, 24, 10],
-    [1, 4, 12, 28, 22, 9],
-    [8, 16, 40, 17],
-    [9, 19, 43, 22],
-    [17, 20, 45, 70, 65, 40],
-    [22, 28, 50, 75, 68, 43],
-    [16, 19, 43, 68, 65, 40],
-    [24, 30, 50, 75, 70, 45],
-    [10, 20, 45, 24],
-    [12, 28, 50, 30],
-    [65, 68, 75, 70],
-    [0, 3, 11, 21, 18, 8],
-    [3, 5, 13, 31, 25, 11],
-    [1, 5, 13, 29, 23, 9],
-    [8, 16, 41, 18],
-    [9, 19, 44, 23],
-    [18, 21, 46, 71, 66, 41],
-    [23, 29, 51, 76, 69, 44],
-    [16, 19, 44, 69, 66, 41],
-    [25, 31, 51, 76, 71, 46],
-    [11, 21, 46, 25],
-    [13, 29, 51, 31],
-    [66, 69, 76, 71],
-    [2, 6, 14, 32, 26, 10],
-    [3, 6, 14, 33, 27, 11],
-    [10, 20, 47, 26],
-    [11, 21, 48, 27],
-    [8, 17, 42, 18],
-    [17, 20, 47, 72, 67, 42],
-    [18, 21, 48, 73, 67, 42],
-    [26, 32, 54, 79, 72, 47],
-    [27, 33, 54, 79, 73, 48],
-    [14, 32, 54, 33],
-    [67, 72, 79, 73],
-    [4, 7, 15, 37, 34, 12],
-    [5, 7, 15, 38, 35, 13],
-    [12, 28, 55, 34],
-    [13, 29, 56, 35],
-    [15, 37, 61, 38],
-    [22, 28, 55, 86, 80, 49],
-    [23, 29, 56, 87, 80, 49],
-    [34, 37, 61, 92, 86, 55],
-    [35, 38, 61, 92, 87, 56],
-    [9, 22, 49, 23],
-    [80, 86, 92, 87],
-    [6, 7, 15, 39, 36, 14],
-    [14, 32, 59, 36],
-    [15, 37, 62, 39],
-    [26, 32, 59, 90, 83, 52],
-    [34, 37, 62, 93, 88, 57],
-    [24, 30, 57, 88, 83, 52],
-    [36, 39, 62, 93, 90, 59],
-    [10, 24, 52, 26],
-    [12, 30, 57, 34],
-    [83, 88, 93, 90],
-    [14, 33, 60, 36],
-    [15, 38, 63, 39],
-    [27, 33, 60, 91, 84, 53],
-    [35, 38, 63, 94, 89, 58],
-    [25, 31, 58, 89, 84, 53],
-    [36, 39, 63, 94, 91, 60],
-    [11, 25, 53, 27],
-    [13, 31, 58, 35],
-    [84, 89, 94, 91],
-    [16, 40, 64, 41],
-    [17, 40, 64, 42],
-    [18, 41, 64, 42],
-    [22, 43, 74, 49],
-    [23, 44, 74, 49],
-    [19, 43, 74, 44],
-    [24, 45, 77, 52],
-    [20, 45, 77, 47],
-    [26, 47, 77, 52],
-    [25, 46, 78, 53],
-    [21, 46, 78, 48],
-    [27, 48, 78, 53],
-    [30, 50, 81, 57],
-    [28, 50, 81, 55],
-    [34, 55, 81, 57],
-    [31, 51, 82, 58],
-    [29, 51, 82, 56],
-    [35, 56, 82, 58],
-    [32, 54, 85, 59],
-    [33, 54, 85, 60],
-    [36, 59, 85, 60],
-    [39, 62, 95, 63],
-    [37, 61, 95, 62],
-    [38, 61, 95, 63],
-    [40, 64, 96, 128, 97, 65],
-    [41, 64, 96, 129, 98, 66],
-    [65, 68, 100, 97],
-    [66, 69, 101, 98],
-    [43, 68, 100, 131, 106, 74],
-    [44, 69, 101, 132, 106, 74],
-    [96, 128, 152, 129],
-    [97, 100, 131, 155, 152, 128],
-    [98, 101, 132, 155, 152, 129],
-    [106, 131, 155, 132],
-    [42, 64, 96, 130, 99, 67],
-    [67, 72, 104, 99],
-    [47, 72, 104, 135, 109, 77],
-    [45, 70, 102, 133, 109, 77],
-    [65, 70, 102, 97],
-    [96, 128, 153, 130],
-    [97, 102, 133, 156, 153, 128],
-    [99, 104, 135, 156, 153, 130],
-    [109, 133, 156, 135],
-    [67, 73, 105, 99],
-    [48, 73, 105, 136, 110, 78],
-    [46, 71, 103, 134, 110, 78],
-    [66, 71, 103, 98],
-    [96, 129, 154, 130],
-    [98, 103, 134, 157, 154, 129],
-    [99, 105, 136, 157, 154, 130],
-    [110, 134, 157, 136],
-    [70, 75, 107, 102],
-    [68, 75, 107, 100],
-    [97, 100, 107, 102],
-    [71, 76, 108, 103],
-    [69, 76, 108, 101],
-    [98, 101, 108, 103],
-    [72, 79, 111, 104],
-    [73, 79, 111, 105],
-    [99, 104, 111, 105],
-    [49, 74, 106, 137, 112, 80],
-    [50, 75, 107, 138, 113, 81],
-    [80, 86, 118, 112],
-    [55, 81, 113, 143, 118, 86],
-    [106, 131, 158, 137],
-    [100, 107, 138, 164, 158, 131],
-    [112, 118, 143, 164, 158, 137],
-    [113, 138, 164, 143],
-    [51, 76, 108, 139, 114, 82],
-    [80, 87, 119, 112],
-    [56, 82, 114, 144, 119, 87],
-    [106, 132, 159, 137],
-    [101, 108, 139, 165, 159, 132],
-    [112, 119, 144, 165, 159, 137],
-    [114, 139, 165, 144],
-    [52, 77, 109, 140, 115, 83],
-    [83, 88, 120, 115],
-    [57, 81, 113, 145, 120, 88],
-    [109, 133, 160, 140],
-    [113, 138, 166, 145],
-    [102, 107, 138, 166, 160, 133],
-    [115, 120, 145, 166, 160, 140],
-    [53, 78, 110, 141, 116, 84],
-    [84, 89, 121, 116],
-    [58, 82, 114, 146, 121, 89],
-    [110, 134, 161, 141],
-    [114, 139, 167, 146],
-    [103, 108, 139, 167, 161, 134],
-    [116, 121, 146, 167, 161, 141],
-    [54, 79, 111, 142, 117, 85],
-    [59, 85, 117, 147, 122, 90],
-    [83, 90, 122, 115],
-    [117, 142, 168, 147],
-    [115, 122, 147, 168, 162, 140],
-    [104, 111, 142, 168, 162, 135],
-    [109, 135, 162, 140],
-    [60, 85, 117, 148, 123, 91],
-    [84, 91, 123, 116],
-    [117, 142, 169, 148],
-    [116, 123, 148, 169, 163, 141],
-    [105, 111, 142, 169, 163, 136],
-    [110, 136, 163, 141],
-    [86, 92, 124, 118],
-    [87, 92, 124, 119],
-    [112, 118, 124, 119],
-    [90, 93, 125, 122],
-    [88, 93, 125, 120],
-    [115, 120, 125, 122],
-    [91, 94, 126, 123],
-    [89, 94, 126, 121],
-    [116, 121, 126, 123],
-    [61, 92, 124, 149, 127, 95],
-    [62, 93, 125, 150, 127, 95],
-    [127, 149, 173, 150],
-    [120, 125, 150, 173, 170, 145],
-    [118, 124, 149, 173, 170, 143],
-    [113, 143, 170, 145],
-    [63, 94, 126, 151, 127, 95],
-    [127, 149, 174, 151],
-    [121, 126, 151, 174, 171, 146],
-    [119, 124, 149, 174, 171, 144],
-    [114, 144, 171, 146],
-    [127, 150, 175, 151],
-    [122, 125, 150, 175, 172, 147],
-    [123, 126, 151, 175, 172, 148],
-    [117, 147, 172, 148],
-    [130, 153, 176, 154],
-    [128, 152, 176, 153],
-    [129, 152, 176, 154],
-    [131, 155, 177, 158],
-    [132, 155, 177, 159],
-    [137, 158, 177, 159],
-    [135, 156, 178, 162],
-    [133, 156, 178, 160],
-    [140, 160, 178, 162],
-    [136, 157, 179, 163],
-    [134, 157, 179, 161],
-    [141, 161, 179, 163],
-    [143, 164, 180, 170],
-    [138, 164, 180, 166],
-    [145, 166, 180, 170],
-    [144, 165, 181, 171],
-    [139, 165, 181, 167],
-    [146, 167, 181, 171],
-    [147, 168, 182, 172],
-    [148, 169, 182, 172],
-    [142, 168, 182, 169],
-    [149, 173, 183, 174],
-    [150, 173, 183, 175],
-    [151, 174, 183, 175],
-    [152, 155, 177, 185, 184, 176],
-    [153, 156, 178, 186, 184, 176],
-    [160, 166, 180, 188, 186, 178],
-    [158, 164, 180, 188, 185, 177],
-    [184, 185, 188, 186],
-    [154, 157, 179, 187, 184, 176],
-    [161, 167, 181, 189, 187, 179],
-    [159, 165, 181, 189, 185, 177],
-    [184, 185, 189, 187],
-    [162, 168, 182, 190, 186, 178],
-    [163, 169, 182, 190, 187, 179],
-    [184, 186, 190, 187],
-    [170, 173, 183, 191, 188, 180],
-    [171, 174, 183, 191, 189, 181],
-    [185, 188, 191, 189],
-    [172, 175, 183, 191, 190, 182],
-    [186, 188, 191, 190],
-    [187, 189, 191, 190],
-  ],
-  cells: [
-    [0, 1, 2, 3, 4, 5],
-    [2, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18],
-    [3, 6, 19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30],
-    [0, 7, 19, 31, 32, 33, 34, 35, 36, 37, 38, 39, 40, 41],
-    [1, 9, 21, 42, 43, 44, 45, 46, 47, 48, 49, 50, 51, 52],
-    [4, 31, 8, 42, 53, 54, 55, 56, 57, 58, 59, 60, 61, 62],
-    [5, 32, 20, 43, 53, 63, 64, 65, 66, 67, 68, 69, 70, 71],
-    [10, 22, 35, 72, 73, 74],
-    [51, 11, 23, 75, 76, 77],
-    [16, 60, 33, 78, 79, 80],
-    [28, 69, 34, 81, 82, 83],
-    [17, 61, 44, 84, 85, 86],
-    [29, 70, 45, 87, 88, 89],
-    [40, 54, 63, 90, 91, 92],
-    [55, 64, 46, 93, 94, 95],
-    [77, 14, 26, 72, 96, 97, 98, 99, 100, 101, 102, 103, 104, 105],
-    [79, 36, 12, 73, 96, 106, 107, 108, 109, 110, 111, 112, 113, 114],
-    [82, 37, 24, 74, 97, 106, 115, 116, 117, 118, 119, 120, 121, 122],
-    [18, 110, 98, 123, 124, 125],
-    [30, 118, 99, 126, 127, 128],
-    [41, 107, 115, 129, 130, 131],
-    [85, 47, 13, 75, 124, 100, 132, 133, 134, 135, 136, 137, 138, 139],
-    [88, 48, 25, 76, 127, 101, 132, 140, 141, 142, 143, 144, 145, 146],
-    [15, 58, 78, 84, 109, 123, 133, 147, 148, 149, 150, 151, 152, 153],
-    [27, 67, 81, 87, 117, 126, 140, 154, 155, 156, 157, 158, 159, 160],
-    [80, 38, 56, 90, 108, 129, 147, 161, 162, 163, 164, 165, 166, 167],
-    [83, 39, 65, 91, 116, 130, 154, 161, 168, 169, 170, 171, 172, 173],
-    [52, 134, 141, 174, 175, 176],
-    [62, 163, 148, 177, 178, 179],
-    [71, 169, 155, 180, 181, 182],
-    [86, 49, 57, 94, 178, 149, 135, 174, 183, 184, 185, 186, 187, 188],
-    [89, 50, 66, 95, 181, 156, 142, 175, 183, 189, 190, 191, 192, 193],
-    [92, 59, 68, 93, 162, 168, 177, 180, 184, 189, 194, 195, 196, 197],
-    [111, 119, 102, 198, 199, 200],
-    [105, 136, 143, 201, 202, 203],
-    [114, 167, 150, 204, 205, 206],
-    [122, 173, 157, 207, 208, 209],
-    [139, 188, 151, 210, 211, 212],
-    [146, 193, 158, 213, 214, 215],
-    [197, 164, 170, 216, 217, 218],
-    [185, 190, 194, 219, 220, 221],
-    [125, 205, 211, 103, 152, 112, 137, 199, 201, 222, 223, 224, 225, 226],
-    [128, 208, 214, 104, 159, 120, 144, 200, 202, 222, 227, 228, 229, 230],
-    [131, 218, 113, 121, 166, 172, 198, 204, 207, 223, 227, 231, 232, 233],
-    [176, 203, 138, 145, 187, 192, 219, 210, 213, 225, 229, 234, 235, 236],
-    [179, 206, 212, 153, 195, 165, 186, 216, 220, 231, 224, 234, 237, 238],
-    [182, 209, 215, 160, 196, 171, 191, 217, 221, 232, 228, 235, 237, 239],
-    [226, 230, 238, 239, 233, 236],
-  ],
-}
@@ -1,11325 +0,0 @@
-export const permutahedronFIrregular = {
-  vertices: [
-    [-1.0, -1.8918058124456123, -1.8918058124456123, -1.0],
-    [-1.0, -1.8918058124456123, -1.8918058124456123, -0.8918058124456121],
-    [-1.0, -1.8918058124456123, -1.7836116248912242, -1.0],
-    [-1.0, -1.8918058124456123, -1.7836116248912242, -0.7836116248912242],
-    [-1.0, -1.8918058124456123, -1.6754174373368365, -0.8918058124456121],
-    [-1.0, -1.8918058124456123, -1.6754174373368365, -0.7836116248912242],
-    [-1.0, -1.7836116248912242, -1.8918058124456123, -1.0],
-    [-1.0, -1.7836116248912242, -1.8918058124456123, -0.8918058124456121],
-    [-1.0, -1.7836116248912242, -1.6306019374818708, -1.0],
-    [-1.0, -1.7836116248912242, -1.6306019374818708, -0.6306019374818707],
-    [-1.0, -1.7836116248912242, -1.5224077499274826, -0.8918058124456121],
-    [-1.0, -1.7836116248912242, -1.5224077499274826, -0.6306019374818707],
-    [-1.0, -1.6306019374818708, -1.7836116248912242, -1.0],
-    [-1.0, -1.6306019374818708, -1.7836116248912242, -0.7836116248912242],
-    [-1.0, -1.6306019374818708, -1.5224077499274826, -1.0],
-    [-1.0, -1.6306019374818708, -1.5224077499274826, -0.5224077499274827],
-    [-1.0, -1.6306019374818708, -1.3060193748187068, -0.7836116248912242],
-    [-1.0, -1.6306019374818708, -1.3060193748187068, -0.5224077499274827],
-    [-1.0, -1.5224077499274826, -1.6306019374818708, -1.0],
-    [-1.0, -1.5224077499274826, -1.6306019374818708, -0.6306019374818707],
-    [-1.0, -1.5224077499274826, -1.5224077499274826, -1.0],
-    [-1.0, -1.5224077499274826, -1.5224077499274826, -0.5224077499274827],
-    [-1.0, -1.5224077499274826, -1.1530096874093534, -0.6306019374818707],
-    [-1.0, -1.5224077499274826, -1.1530096874093534, -0.5224077499274827],
-    [-1.0, -1.4775922500725172, -1.6754174373368365, -0.8918058124456121],
-    [-1.0, -1.4775922500725172, -1.6754174373368365, -0.7836116248912242],
-    [-1.0, -1.4775922500725172, -1.3060193748187068, -0.8918058124456121],
-    [-1.0, -1.4775922500725172, -1.3060193748187068, -0.4142135623730949],
-    [-1.0, -1.4775922500725172, -1.1978251872643193, -0.7836116248912242],
-    [-1.0, -1.4775922500725172, -1.1978251872643193, -0.4142135623730949],
-    [-1.0, -1.3693980625181292, -1.5224077499274826, -0.8918058124456121],
-    [-1.0, -1.3693980625181292, -1.5224077499274826, -0.6306019374818707],
-    [-1.0, -1.3693980625181292, -1.3060193748187068, -0.8918058124456121],
-    [-1.0, -1.3693980625181292, -1.3060193748187068, -0.4142135623730949],
-    [-1.0, -1.3693980625181292, -1.0448154998549655, -0.6306019374818707],
-    [-1.0, -1.3693980625181292, -1.0448154998549655, -0.4142135623730949],
-    [-1.0, -1.2163883751087756, -1.3060193748187068, -0.7836116248912242],
-    [-1.0, -1.2163883751087756, -1.3060193748187068, -0.5224077499274827],
-    [-1.0, -1.2163883751087756, -1.1978251872643193, -0.7836116248912242],
-    [-1.0, -1.2163883751087756, -1.1978251872643193, -0.4142135623730949],
-    [-1.0, -1.2163883751087756, -0.9366213123005778, -0.5224077499274827],
-    [-1.0, -1.2163883751087756, -0.9366213123005778, -0.4142135623730949],
-    [-1.0, -1.1081941875543877, -1.1530096874093534, -0.6306019374818707],
-    [-1.0, -1.1081941875543877, -1.1530096874093534, -0.5224077499274827],
-    [-1.0, -1.1081941875543877, -1.0448154998549655, -0.6306019374818707],
-    [-1.0, -1.1081941875543877, -1.0448154998549655, -0.4142135623730949],
-    [-1.0, -1.1081941875543877, -0.9366213123005778, -0.5224077499274827],
-    [-1.0, -1.1081941875543877, -0.9366213123005778, -0.4142135623730949],
-    [-0.8918058124456121, -1.8918058124456123, -1.8918058124456123, -1.0],
-    [
-      -0.8918058124456121, -1.8918058124456123, -1.8918058124456123,
-      -0.8918058124456121,
-    ],
-    [-0.8918058124456121, -1.8918058124456123, -1.7836116248912242, -1.0],
-    [
-      -0.8918058124456121, -1.8918058124456123, -1.7836116248912242,
-      -0.7836116248912242,
-    ],
-    [
-      -0.8918058124456121, -1.8918058124456123, -1.6754174373368365,
-      -0.8918058124456121,
-    ],
-    [
-      -0.8918058124456121, -1.8918058124456123, -1.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [-0.8918058124456121, -1.6754174373368365, -1.8918058124456123, -1.0],
-    [
-      -0.8918058124456121, -1.6754174373368365, -1.8918058124456123,
-      -0.8918058124456121,
-    ],
-    [-0.8918058124456121, -1.6754174373368365, -1.4775922500725172, -1.0],
-    [
-      -0.8918058124456121, -1.6754174373368365, -1.4775922500725172,
-      -0.4775922500725174,
-    ],
-    [
-      -0.8918058124456121, -1.6754174373368365, -1.3693980625181292,
-      -0.8918058124456121,
-    ],
-    [
-      -0.8918058124456121, -1.6754174373368365, -1.3693980625181292,
-      -0.4775922500725174,
-    ],
-    [-0.8918058124456121, -1.5224077499274826, -1.7836116248912242, -1.0],
-    [
-      -0.8918058124456121, -1.5224077499274826, -1.7836116248912242,
-      -0.7836116248912242,
-    ],
-    [-0.8918058124456121, -1.5224077499274826, -1.3693980625181292, -1.0],
-    [
-      -0.8918058124456121, -1.5224077499274826, -1.3693980625181292,
-      -0.3693980625181293,
-    ],
-    [
-      -0.8918058124456121, -1.5224077499274826, -1.1530096874093534,
-      -0.7836116248912242,
-    ],
-    [
-      -0.8918058124456121, -1.5224077499274826, -1.1530096874093534,
-      -0.3693980625181293,
-    ],
-    [
-      -0.8918058124456121, -1.3693980625181292, -1.6754174373368365,
-      -0.8918058124456121,
-    ],
-    [
-      -0.8918058124456121, -1.3693980625181292, -1.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.8918058124456121, -1.3693980625181292, -1.1530096874093534,
-      -0.8918058124456121,
-    ],
-    [
-      -0.8918058124456121, -1.3693980625181292, -1.1530096874093534,
-      -0.26120387496374137,
-    ],
-    [
-      -0.8918058124456121, -1.3693980625181292, -1.0448154998549655,
-      -0.7836116248912242,
-    ],
-    [
-      -0.8918058124456121, -1.3693980625181292, -1.0448154998549655,
-      -0.26120387496374137,
-    ],
-    [-0.8918058124456121, -1.3060193748187068, -1.4775922500725172, -1.0],
-    [
-      -0.8918058124456121, -1.3060193748187068, -1.4775922500725172,
-      -0.4775922500725174,
-    ],
-    [-0.8918058124456121, -1.3060193748187068, -1.3693980625181292, -1.0],
-    [
-      -0.8918058124456121, -1.3060193748187068, -1.3693980625181292,
-      -0.3693980625181293,
-    ],
-    [
-      -0.8918058124456121, -1.3060193748187068, -0.8469903125906466,
-      -0.4775922500725174,
-    ],
-    [
-      -0.8918058124456121, -1.3060193748187068, -0.8469903125906466,
-      -0.3693980625181293,
-    ],
-    [
-      -0.8918058124456121, -1.1530096874093534, -1.3693980625181292,
-      -0.8918058124456121,
-    ],
-    [
-      -0.8918058124456121, -1.1530096874093534, -1.3693980625181292,
-      -0.4775922500725174,
-    ],
-    [
-      -0.8918058124456121, -1.1530096874093534, -1.1530096874093534,
-      -0.8918058124456121,
-    ],
-    [
-      -0.8918058124456121, -1.1530096874093534, -1.1530096874093534,
-      -0.26120387496374137,
-    ],
-    [
-      -0.8918058124456121, -1.1530096874093534, -0.7387961250362586,
-      -0.4775922500725174,
-    ],
-    [
-      -0.8918058124456121, -1.1530096874093534, -0.7387961250362586,
-      -0.26120387496374137,
-    ],
-    [-0.8918058124456121, -1.0, -1.1530096874093534, -0.7836116248912242],
-    [-0.8918058124456121, -1.0, -1.1530096874093534, -0.3693980625181293],
-    [-0.8918058124456121, -1.0, -1.0448154998549655, -0.7836116248912242],
-    [-0.8918058124456121, -1.0, -1.0448154998549655, -0.26120387496374137],
-    [-0.8918058124456121, -1.0, -0.6306019374818707, -0.3693980625181293],
-    [-0.8918058124456121, -1.0, -0.6306019374818707, -0.26120387496374137],
-    [
-      -0.8918058124456121, -0.7836116248912242, -0.8469903125906466,
-      -0.4775922500725174,
-    ],
-    [
-      -0.8918058124456121, -0.7836116248912242, -0.8469903125906466,
-      -0.3693980625181293,
-    ],
-    [
-      -0.8918058124456121, -0.7836116248912242, -0.7387961250362586,
-      -0.4775922500725174,
-    ],
-    [
-      -0.8918058124456121, -0.7836116248912242, -0.7387961250362586,
-      -0.26120387496374137,
-    ],
-    [
-      -0.8918058124456121, -0.7836116248912242, -0.6306019374818707,
-      -0.3693980625181293,
-    ],
-    [
-      -0.8918058124456121, -0.7836116248912242, -0.6306019374818707,
-      -0.26120387496374137,
-    ],
-    [-0.7836116248912242, -1.7836116248912242, -1.8918058124456123, -1.0],
-    [
-      -0.7836116248912242, -1.7836116248912242, -1.8918058124456123,
-      -0.8918058124456121,
-    ],
-    [-0.7836116248912242, -1.7836116248912242, -1.6306019374818708, -1.0],
-    [
-      -0.7836116248912242, -1.7836116248912242, -1.6306019374818708,
-      -0.6306019374818707,
-    ],
-    [
-      -0.7836116248912242, -1.7836116248912242, -1.5224077499274826,
-      -0.8918058124456121,
-    ],
-    [
-      -0.7836116248912242, -1.7836116248912242, -1.5224077499274826,
-      -0.6306019374818707,
-    ],
-    [-0.7836116248912242, -1.6754174373368365, -1.8918058124456123, -1.0],
-    [
-      -0.7836116248912242, -1.6754174373368365, -1.8918058124456123,
-      -0.8918058124456121,
-    ],
-    [-0.7836116248912242, -1.6754174373368365, -1.4775922500725172, -1.0],
-    [
-      -0.7836116248912242, -1.6754174373368365, -1.4775922500725172,
-      -0.4775922500725174,
-    ],
-    [
-      -0.7836116248912242, -1.6754174373368365, -1.3693980625181292,
-      -0.8918058124456121,
-    ],
-    [
-      -0.7836116248912242, -1.6754174373368365, -1.3693980625181292,
-      -0.4775922500725174,
-    ],
-    [-0.7836116248912242, -1.3060193748187068, -1.6306019374818708, -1.0],
-    [
-      -0.7836116248912242, -1.3060193748187068, -1.6306019374818708,
-      -0.6306019374818707,
-    ],
-    [-0.7836116248912242, -1.3060193748187068, -1.2163883751087756, -1.0],
-    [
-      -0.7836116248912242, -1.3060193748187068, -1.2163883751087756,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -1.3060193748187068, -0.8469903125906466,
-      -0.6306019374818707,
-    ],
-    [
-      -0.7836116248912242, -1.3060193748187068, -0.8469903125906466,
-      -0.21638837510877584,
-    ],
-    [-0.7836116248912242, -1.1978251872643193, -1.4775922500725172, -1.0],
-    [
-      -0.7836116248912242, -1.1978251872643193, -1.4775922500725172,
-      -0.4775922500725174,
-    ],
-    [-0.7836116248912242, -1.1978251872643193, -1.2163883751087756, -1.0],
-    [
-      -0.7836116248912242, -1.1978251872643193, -1.2163883751087756,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -1.1978251872643193, -0.6939806251812932,
-      -0.4775922500725174,
-    ],
-    [
-      -0.7836116248912242, -1.1978251872643193, -0.6939806251812932,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -1.1530096874093534, -1.5224077499274826,
-      -0.8918058124456121,
-    ],
-    [
-      -0.7836116248912242, -1.1530096874093534, -1.5224077499274826,
-      -0.6306019374818707,
-    ],
-    [-0.7836116248912242, -1.1530096874093534, -1.0, -0.8918058124456121],
-    [-0.7836116248912242, -1.1530096874093534, -1.0, -0.10819418755438792],
-    [
-      -0.7836116248912242, -1.1530096874093534, -0.7387961250362586,
-      -0.6306019374818707,
-    ],
-    [
-      -0.7836116248912242, -1.1530096874093534, -0.7387961250362586,
-      -0.10819418755438792,
-    ],
-    [
-      -0.7836116248912242, -1.0448154998549655, -1.3693980625181292,
-      -0.8918058124456121,
-    ],
-    [
-      -0.7836116248912242, -1.0448154998549655, -1.3693980625181292,
-      -0.4775922500725174,
-    ],
-    [-0.7836116248912242, -1.0448154998549655, -1.0, -0.8918058124456121],
-    [-0.7836116248912242, -1.0448154998549655, -1.0, -0.10819418755438792],
-    [
-      -0.7836116248912242, -1.0448154998549655, -0.5857864376269051,
-      -0.4775922500725174,
-    ],
-    [
-      -0.7836116248912242, -1.0448154998549655, -0.5857864376269051,
-      -0.10819418755438792,
-    ],
-    [
-      -0.7836116248912242, -0.6754174373368365, -0.8469903125906466,
-      -0.6306019374818707,
-    ],
-    [
-      -0.7836116248912242, -0.6754174373368365, -0.8469903125906466,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -0.6754174373368365, -0.7387961250362586,
-      -0.6306019374818707,
-    ],
-    [
-      -0.7836116248912242, -0.6754174373368365, -0.7387961250362586,
-      -0.10819418755438792,
-    ],
-    [
-      -0.7836116248912242, -0.6754174373368365, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -0.6754174373368365, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      -0.7836116248912242, -0.5672232497824483, -0.6939806251812932,
-      -0.4775922500725174,
-    ],
-    [
-      -0.7836116248912242, -0.5672232497824483, -0.6939806251812932,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -0.5672232497824483, -0.5857864376269051,
-      -0.4775922500725174,
-    ],
-    [
-      -0.7836116248912242, -0.5672232497824483, -0.5857864376269051,
-      -0.10819418755438792,
-    ],
-    [
-      -0.7836116248912242, -0.5672232497824483, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      -0.7836116248912242, -0.5672232497824483, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [-0.6306019374818707, -1.6306019374818708, -1.7836116248912242, -1.0],
-    [
-      -0.6306019374818707, -1.6306019374818708, -1.7836116248912242,
-      -0.7836116248912242,
-    ],
-    [-0.6306019374818707, -1.6306019374818708, -1.5224077499274826, -1.0],
-    [
-      -0.6306019374818707, -1.6306019374818708, -1.5224077499274826,
-      -0.5224077499274827,
-    ],
-    [
-      -0.6306019374818707, -1.6306019374818708, -1.3060193748187068,
-      -0.7836116248912242,
-    ],
-    [
-      -0.6306019374818707, -1.6306019374818708, -1.3060193748187068,
-      -0.5224077499274827,
-    ],
-    [-0.6306019374818707, -1.5224077499274826, -1.7836116248912242, -1.0],
-    [
-      -0.6306019374818707, -1.5224077499274826, -1.7836116248912242,
-      -0.7836116248912242,
-    ],
-    [-0.6306019374818707, -1.5224077499274826, -1.3693980625181292, -1.0],
-    [
-      -0.6306019374818707, -1.5224077499274826, -1.3693980625181292,
-      -0.3693980625181293,
-    ],
-    [
-      -0.6306019374818707, -1.5224077499274826, -1.1530096874093534,
-      -0.7836116248912242,
-    ],
-    [
-      -0.6306019374818707, -1.5224077499274826, -1.1530096874093534,
-      -0.3693980625181293,
-    ],
-    [-0.6306019374818707, -1.1530096874093534, -1.5224077499274826, -1.0],
-    [
-      -0.6306019374818707, -1.1530096874093534, -1.5224077499274826,
-      -0.5224077499274827,
-    ],
-    [-0.6306019374818707, -1.1530096874093534, -1.1081941875543877, -1.0],
-    [
-      -0.6306019374818707, -1.1530096874093534, -1.1081941875543877,
-      -0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -1.1530096874093534, -0.6306019374818707,
-      -0.5224077499274827,
-    ],
-    [
-      -0.6306019374818707, -1.1530096874093534, -0.6306019374818707,
-      -0.10819418755438792,
-    ],
-    [-0.6306019374818707, -1.0448154998549655, -1.3693980625181292, -1.0],
-    [
-      -0.6306019374818707, -1.0448154998549655, -1.3693980625181292,
-      -0.3693980625181293,
-    ],
-    [-0.6306019374818707, -1.0448154998549655, -1.1081941875543877, -1.0],
-    [
-      -0.6306019374818707, -1.0448154998549655, -1.1081941875543877,
-      -0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -1.0448154998549655, -0.4775922500725174,
-      -0.3693980625181293,
-    ],
-    [
-      -0.6306019374818707, -1.0448154998549655, -0.4775922500725174,
-      -0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.8469903125906466, -1.3060193748187068,
-      -0.7836116248912242,
-    ],
-    [
-      -0.6306019374818707, -0.8469903125906466, -1.3060193748187068,
-      -0.5224077499274827,
-    ],
-    [
-      -0.6306019374818707, -0.8469903125906466, -0.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.6306019374818707, -0.8469903125906466, -0.6754174373368365,
-      0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.8469903125906466, -0.4142135623730949,
-      -0.5224077499274827,
-    ],
-    [
-      -0.6306019374818707, -0.8469903125906466, -0.4142135623730949,
-      0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.7387961250362586, -1.1530096874093534,
-      -0.7836116248912242,
-    ],
-    [
-      -0.6306019374818707, -0.7387961250362586, -1.1530096874093534,
-      -0.3693980625181293,
-    ],
-    [
-      -0.6306019374818707, -0.7387961250362586, -0.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.6306019374818707, -0.7387961250362586, -0.6754174373368365,
-      0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.7387961250362586, -0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      -0.6306019374818707, -0.7387961250362586, -0.26120387496374137,
-      0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.3693980625181293, -0.6306019374818707,
-      -0.5224077499274827,
-    ],
-    [
-      -0.6306019374818707, -0.3693980625181293, -0.6306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.3693980625181293, -0.4142135623730949,
-      -0.5224077499274827,
-    ],
-    [
-      -0.6306019374818707, -0.3693980625181293, -0.4142135623730949,
-      0.10819418755438792,
-    ],
-    [-0.6306019374818707, -0.3693980625181293, 0.0, -0.10819418755438792],
-    [-0.6306019374818707, -0.3693980625181293, 0.0, 0.10819418755438792],
-    [
-      -0.6306019374818707, -0.26120387496374137, -0.4775922500725174,
-      -0.3693980625181293,
-    ],
-    [
-      -0.6306019374818707, -0.26120387496374137, -0.4775922500725174,
-      -0.10819418755438792,
-    ],
-    [
-      -0.6306019374818707, -0.26120387496374137, -0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      -0.6306019374818707, -0.26120387496374137, -0.26120387496374137,
-      0.10819418755438792,
-    ],
-    [-0.6306019374818707, -0.26120387496374137, 0.0, -0.10819418755438792],
-    [-0.6306019374818707, -0.26120387496374137, 0.0, 0.10819418755438792],
-    [-0.5224077499274827, -1.5224077499274826, -1.6306019374818708, -1.0],
-    [
-      -0.5224077499274827, -1.5224077499274826, -1.6306019374818708,
-      -0.6306019374818707,
-    ],
-    [-0.5224077499274827, -1.5224077499274826, -1.5224077499274826, -1.0],
-    [
-      -0.5224077499274827, -1.5224077499274826, -1.5224077499274826,
-      -0.5224077499274827,
-    ],
-    [
-      -0.5224077499274827, -1.5224077499274826, -1.1530096874093534,
-      -0.6306019374818707,
-    ],
-    [
-      -0.5224077499274827, -1.5224077499274826, -1.1530096874093534,
-      -0.5224077499274827,
-    ],
-    [-0.5224077499274827, -1.3060193748187068, -1.6306019374818708, -1.0],
-    [
-      -0.5224077499274827, -1.3060193748187068, -1.6306019374818708,
-      -0.6306019374818707,
-    ],
-    [-0.5224077499274827, -1.3060193748187068, -1.2163883751087756, -1.0],
-    [
-      -0.5224077499274827, -1.3060193748187068, -1.2163883751087756,
-      -0.21638837510877584,
-    ],
-    [
-      -0.5224077499274827, -1.3060193748187068, -0.8469903125906466,
-      -0.6306019374818707,
-    ],
-    [
-      -0.5224077499274827, -1.3060193748187068, -0.8469903125906466,
-      -0.21638837510877584,
-    ],
-    [-0.5224077499274827, -1.1530096874093534, -1.5224077499274826, -1.0],
-    [
-      -0.5224077499274827, -1.1530096874093534, -1.5224077499274826,
-      -0.5224077499274827,
-    ],
-    [-0.5224077499274827, -1.1530096874093534, -1.1081941875543877, -1.0],
-    [
-      -0.5224077499274827, -1.1530096874093534, -1.1081941875543877,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -1.1530096874093534, -0.6306019374818707,
-      -0.5224077499274827,
-    ],
-    [
-      -0.5224077499274827, -1.1530096874093534, -0.6306019374818707,
-      -0.10819418755438792,
-    ],
-    [-0.5224077499274827, -0.9366213123005778, -1.2163883751087756, -1.0],
-    [
-      -0.5224077499274827, -0.9366213123005778, -1.2163883751087756,
-      -0.21638837510877584,
-    ],
-    [-0.5224077499274827, -0.9366213123005778, -1.1081941875543877, -1.0],
-    [
-      -0.5224077499274827, -0.9366213123005778, -1.1081941875543877,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -0.9366213123005778, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      -0.5224077499274827, -0.9366213123005778, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -0.6306019374818707, -1.1530096874093534,
-      -0.6306019374818707,
-    ],
-    [
-      -0.5224077499274827, -0.6306019374818707, -1.1530096874093534,
-      -0.5224077499274827,
-    ],
-    [
-      -0.5224077499274827, -0.6306019374818707, -0.3693980625181293,
-      -0.6306019374818707,
-    ],
-    [
-      -0.5224077499274827, -0.6306019374818707, -0.3693980625181293,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.6306019374818707, -0.26120387496374137,
-      -0.5224077499274827,
-    ],
-    [
-      -0.5224077499274827, -0.6306019374818707, -0.26120387496374137,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.4142135623730949, -0.8469903125906466,
-      -0.6306019374818707,
-    ],
-    [
-      -0.5224077499274827, -0.4142135623730949, -0.8469903125906466,
-      -0.21638837510877584,
-    ],
-    [
-      -0.5224077499274827, -0.4142135623730949, -0.3693980625181293,
-      -0.6306019374818707,
-    ],
-    [
-      -0.5224077499274827, -0.4142135623730949, -0.3693980625181293,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.4142135623730949, 0.04481549985496547,
-      -0.21638837510877584,
-    ],
-    [
-      -0.5224077499274827, -0.4142135623730949, 0.04481549985496547,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.26120387496374137, -0.6306019374818707,
-      -0.5224077499274827,
-    ],
-    [
-      -0.5224077499274827, -0.26120387496374137, -0.6306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -0.26120387496374137, -0.26120387496374137,
-      -0.5224077499274827,
-    ],
-    [
-      -0.5224077499274827, -0.26120387496374137, -0.26120387496374137,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.26120387496374137, 0.1530096874093535,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -0.26120387496374137, 0.1530096874093535,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.04481549985496547, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      -0.5224077499274827, -0.04481549985496547, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -0.04481549985496547, 0.04481549985496547,
-      -0.21638837510877584,
-    ],
-    [
-      -0.5224077499274827, -0.04481549985496547, 0.04481549985496547,
-      0.26120387496374137,
-    ],
-    [
-      -0.5224077499274827, -0.04481549985496547, 0.1530096874093535,
-      -0.10819418755438792,
-    ],
-    [
-      -0.5224077499274827, -0.04481549985496547, 0.1530096874093535,
-      0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -1.4775922500725172, -1.6754174373368365,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -1.4775922500725172, -1.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -1.4775922500725172, -1.3060193748187068,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -1.4775922500725172, -1.3060193748187068,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -1.4775922500725172, -1.1978251872643193,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -1.4775922500725172, -1.1978251872643193,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -1.3693980625181292, -1.6754174373368365,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -1.3693980625181292, -1.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -1.3693980625181292, -1.1530096874093534,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -1.3693980625181292, -1.1530096874093534,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -1.3693980625181292, -1.0448154998549655,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -1.3693980625181292, -1.0448154998549655,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -0.8469903125906466, -1.3060193748187068,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -0.8469903125906466, -1.3060193748187068,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -0.8469903125906466, -0.7836116248912242,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -0.8469903125906466, -0.7836116248912242,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, -0.8469903125906466, -0.306019374818707,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -0.8469903125906466, -0.306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, -0.7387961250362586, -1.1530096874093534,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -0.7387961250362586, -1.1530096874093534,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -0.7387961250362586, -0.7836116248912242,
-      -0.8918058124456121,
-    ],
-    [
-      -0.4775922500725174, -0.7387961250362586, -0.7836116248912242,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, -0.7387961250362586, -0.1530096874093535,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -0.7387961250362586, -0.1530096874093535,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, -0.6939806251812932, -1.1978251872643193,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -0.6939806251812932, -1.1978251872643193,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -0.6939806251812932, -0.5672232497824483,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -0.6939806251812932, -0.5672232497824483,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, -0.6939806251812932, -0.19782518726431952,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -0.6939806251812932, -0.19782518726431952,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, -0.5857864376269051, -1.0448154998549655,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -0.5857864376269051, -1.0448154998549655,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -0.5857864376269051, -0.5672232497824483,
-      -0.7836116248912242,
-    ],
-    [
-      -0.4775922500725174, -0.5857864376269051, -0.5672232497824483,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, -0.5857864376269051, -0.04481549985496547,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, -0.5857864376269051, -0.04481549985496547,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, -0.06337868769942201, -0.306019374818707,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -0.06337868769942201, -0.306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, -0.06337868769942201, -0.19782518726431952,
-      -0.4142135623730949,
-    ],
-    [
-      -0.4775922500725174, -0.06337868769942201, -0.19782518726431952,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, -0.06337868769942201, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, -0.06337868769942201, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, 0.04481549985496547, -0.1530096874093535,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, 0.04481549985496547, -0.1530096874093535,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, 0.04481549985496547, -0.04481549985496547,
-      -0.26120387496374137,
-    ],
-    [
-      -0.4775922500725174, 0.04481549985496547, -0.04481549985496547,
-      0.21638837510877584,
-    ],
-    [
-      -0.4775922500725174, 0.04481549985496547, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      -0.4775922500725174, 0.04481549985496547, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [-0.4142135623730949, -1.3060193748187068, -1.4775922500725172, -1.0],
-    [
-      -0.4142135623730949, -1.3060193748187068, -1.4775922500725172,
-      -0.4775922500725174,
-    ],
-    [-0.4142135623730949, -1.3060193748187068, -1.3693980625181292, -1.0],
-    [
-      -0.4142135623730949, -1.3060193748187068, -1.3693980625181292,
-      -0.3693980625181293,
-    ],
-    [
-      -0.4142135623730949, -1.3060193748187068, -0.8469903125906466,
-      -0.4775922500725174,
-    ],
-    [
-      -0.4142135623730949, -1.3060193748187068, -0.8469903125906466,
-      -0.3693980625181293,
-    ],
-    [-0.4142135623730949, -1.1978251872643193, -1.4775922500725172, -1.0],
-    [
-      -0.4142135623730949, -1.1978251872643193, -1.4775922500725172,
-      -0.4775922500725174,
-    ],
-    [-0.4142135623730949, -1.1978251872643193, -1.2163883751087756, -1.0],
-    [
-      -0.4142135623730949, -1.1978251872643193, -1.2163883751087756,
-      -0.21638837510877584,
-    ],
-    [
-      -0.4142135623730949, -1.1978251872643193, -0.6939806251812932,
-      -0.4775922500725174,
-    ],
-    [
-      -0.4142135623730949, -1.1978251872643193, -0.6939806251812932,
-      -0.21638837510877584,
-    ],
-    [-0.4142135623730949, -1.0448154998549655, -1.3693980625181292, -1.0],
-    [
-      -0.4142135623730949, -1.0448154998549655, -1.3693980625181292,
-      -0.3693980625181293,
-    ],
-    [-0.4142135623730949, -1.0448154998549655, -1.1081941875543877, -1.0],
-    [
-      -0.4142135623730949, -1.0448154998549655, -1.1081941875543877,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, -1.0448154998549655, -0.4775922500725174,
-      -0.3693980625181293,
-    ],
-    [
-      -0.4142135623730949, -1.0448154998549655, -0.4775922500725174,
-      -0.10819418755438792,
-    ],
-    [-0.4142135623730949, -0.9366213123005778, -1.2163883751087756, -1.0],
-    [
-      -0.4142135623730949, -0.9366213123005778, -1.2163883751087756,
-      -0.21638837510877584,
-    ],
-    [-0.4142135623730949, -0.9366213123005778, -1.1081941875543877, -1.0],
-    [
-      -0.4142135623730949, -0.9366213123005778, -1.1081941875543877,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, -0.9366213123005778, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      -0.4142135623730949, -0.9366213123005778, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, -0.306019374818707, -0.8469903125906466,
-      -0.4775922500725174,
-    ],
-    [
-      -0.4142135623730949, -0.306019374818707, -0.8469903125906466,
-      -0.3693980625181293,
-    ],
-    [
-      -0.4142135623730949, -0.306019374818707, -0.06337868769942201,
-      -0.4775922500725174,
-    ],
-    [
-      -0.4142135623730949, -0.306019374818707, -0.06337868769942201,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, -0.306019374818707, 0.04481549985496547,
-      -0.3693980625181293,
-    ],
-    [
-      -0.4142135623730949, -0.306019374818707, 0.04481549985496547,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, -0.19782518726431952, -0.6939806251812932,
-      -0.4775922500725174,
-    ],
-    [
-      -0.4142135623730949, -0.19782518726431952, -0.6939806251812932,
-      -0.21638837510877584,
-    ],
-    [
-      -0.4142135623730949, -0.19782518726431952, -0.06337868769942201,
-      -0.4775922500725174,
-    ],
-    [
-      -0.4142135623730949, -0.19782518726431952, -0.06337868769942201,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, -0.19782518726431952, 0.19782518726431952,
-      -0.21638837510877584,
-    ],
-    [
-      -0.4142135623730949, -0.19782518726431952, 0.19782518726431952,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, -0.04481549985496547, -0.4775922500725174,
-      -0.3693980625181293,
-    ],
-    [
-      -0.4142135623730949, -0.04481549985496547, -0.4775922500725174,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, -0.04481549985496547, 0.04481549985496547,
-      -0.3693980625181293,
-    ],
-    [
-      -0.4142135623730949, -0.04481549985496547, 0.04481549985496547,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, -0.04481549985496547, 0.306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, -0.04481549985496547, 0.306019374818707,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, 0.06337868769942201, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      -0.4142135623730949, 0.06337868769942201, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, 0.06337868769942201, 0.19782518726431952,
-      -0.21638837510877584,
-    ],
-    [
-      -0.4142135623730949, 0.06337868769942201, 0.19782518726431952,
-      0.4142135623730949,
-    ],
-    [
-      -0.4142135623730949, 0.06337868769942201, 0.306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      -0.4142135623730949, 0.06337868769942201, 0.306019374818707,
-      0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -1.3693980625181292, -1.5224077499274826,
-      -0.8918058124456121,
-    ],
-    [
-      -0.3693980625181293, -1.3693980625181292, -1.5224077499274826,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -1.3693980625181292, -1.3060193748187068,
-      -0.8918058124456121,
-    ],
-    [
-      -0.3693980625181293, -1.3693980625181292, -1.3060193748187068,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -1.3693980625181292, -1.0448154998549655,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -1.3693980625181292, -1.0448154998549655,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -1.1530096874093534, -1.5224077499274826,
-      -0.8918058124456121,
-    ],
-    [
-      -0.3693980625181293, -1.1530096874093534, -1.5224077499274826,
-      -0.6306019374818707,
-    ],
-    [-0.3693980625181293, -1.1530096874093534, -1.0, -0.8918058124456121],
-    [-0.3693980625181293, -1.1530096874093534, -1.0, -0.10819418755438792],
-    [
-      -0.3693980625181293, -1.1530096874093534, -0.7387961250362586,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -1.1530096874093534, -0.7387961250362586,
-      -0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, -0.8469903125906466, -1.3060193748187068,
-      -0.8918058124456121,
-    ],
-    [
-      -0.3693980625181293, -0.8469903125906466, -1.3060193748187068,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -0.8469903125906466, -0.7836116248912242,
-      -0.8918058124456121,
-    ],
-    [
-      -0.3693980625181293, -0.8469903125906466, -0.7836116248912242,
-      0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, -0.8469903125906466, -0.306019374818707,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -0.8469903125906466, -0.306019374818707,
-      0.10819418755438792,
-    ],
-    [-0.3693980625181293, -0.6306019374818707, -1.0, -0.8918058124456121],
-    [-0.3693980625181293, -0.6306019374818707, -1.0, -0.10819418755438792],
-    [
-      -0.3693980625181293, -0.6306019374818707, -0.7836116248912242,
-      -0.8918058124456121,
-    ],
-    [
-      -0.3693980625181293, -0.6306019374818707, -0.7836116248912242,
-      0.10819418755438792,
-    ],
-    [-0.3693980625181293, -0.6306019374818707, 0.0, -0.10819418755438792],
-    [-0.3693980625181293, -0.6306019374818707, 0.0, 0.10819418755438792],
-    [
-      -0.3693980625181293, -0.4775922500725174, -1.0448154998549655,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -0.4775922500725174, -1.0448154998549655,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -0.4775922500725174, -0.26120387496374137,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -0.4775922500725174, -0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      -0.3693980625181293, -0.4775922500725174, -0.04481549985496547,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, -0.4775922500725174, -0.04481549985496547,
-      0.3693980625181293,
-    ],
-    [
-      -0.3693980625181293, -0.26120387496374137, -0.7387961250362586,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -0.26120387496374137, -0.7387961250362586,
-      -0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, -0.26120387496374137, -0.26120387496374137,
-      -0.6306019374818707,
-    ],
-    [
-      -0.3693980625181293, -0.26120387496374137, -0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      -0.3693980625181293, -0.26120387496374137, 0.26120387496374137,
-      -0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, -0.26120387496374137, 0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      -0.3693980625181293, 0.04481549985496547, -0.306019374818707,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, 0.04481549985496547, -0.306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, 0.04481549985496547, -0.04481549985496547,
-      -0.4142135623730949,
-    ],
-    [
-      -0.3693980625181293, 0.04481549985496547, -0.04481549985496547,
-      0.3693980625181293,
-    ],
-    [
-      -0.3693980625181293, 0.04481549985496547, 0.4775922500725174,
-      0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, 0.04481549985496547, 0.4775922500725174,
-      0.3693980625181293,
-    ],
-    [-0.3693980625181293, 0.26120387496374137, 0.0, -0.10819418755438792],
-    [-0.3693980625181293, 0.26120387496374137, 0.0, 0.10819418755438792],
-    [
-      -0.3693980625181293, 0.26120387496374137, 0.26120387496374137,
-      -0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, 0.26120387496374137, 0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      -0.3693980625181293, 0.26120387496374137, 0.4775922500725174,
-      0.10819418755438792,
-    ],
-    [
-      -0.3693980625181293, 0.26120387496374137, 0.4775922500725174,
-      0.3693980625181293,
-    ],
-    [
-      -0.26120387496374137, -1.1530096874093534, -1.3693980625181292,
-      -0.8918058124456121,
-    ],
-    [
-      -0.26120387496374137, -1.1530096874093534, -1.3693980625181292,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -1.1530096874093534, -1.1530096874093534,
-      -0.8918058124456121,
-    ],
-    [
-      -0.26120387496374137, -1.1530096874093534, -1.1530096874093534,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, -1.1530096874093534, -0.7387961250362586,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -1.1530096874093534, -0.7387961250362586,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, -1.0448154998549655, -1.3693980625181292,
-      -0.8918058124456121,
-    ],
-    [
-      -0.26120387496374137, -1.0448154998549655, -1.3693980625181292,
-      -0.4775922500725174,
-    ],
-    [-0.26120387496374137, -1.0448154998549655, -1.0, -0.8918058124456121],
-    [-0.26120387496374137, -1.0448154998549655, -1.0, -0.10819418755438792],
-    [
-      -0.26120387496374137, -1.0448154998549655, -0.5857864376269051,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -1.0448154998549655, -0.5857864376269051,
-      -0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, -0.7387961250362586, -1.1530096874093534,
-      -0.8918058124456121,
-    ],
-    [
-      -0.26120387496374137, -0.7387961250362586, -1.1530096874093534,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, -0.7387961250362586, -0.7836116248912242,
-      -0.8918058124456121,
-    ],
-    [
-      -0.26120387496374137, -0.7387961250362586, -0.7836116248912242,
-      0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, -0.7387961250362586, -0.1530096874093535,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, -0.7387961250362586, -0.1530096874093535,
-      0.10819418755438792,
-    ],
-    [-0.26120387496374137, -0.6306019374818707, -1.0, -0.8918058124456121],
-    [-0.26120387496374137, -0.6306019374818707, -1.0, -0.10819418755438792],
-    [
-      -0.26120387496374137, -0.6306019374818707, -0.7836116248912242,
-      -0.8918058124456121,
-    ],
-    [
-      -0.26120387496374137, -0.6306019374818707, -0.7836116248912242,
-      0.10819418755438792,
-    ],
-    [-0.26120387496374137, -0.6306019374818707, 0.0, -0.10819418755438792],
-    [-0.26120387496374137, -0.6306019374818707, 0.0, 0.10819418755438792],
-    [
-      -0.26120387496374137, -0.1530096874093535, -0.7387961250362586,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -0.1530096874093535, -0.7387961250362586,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, -0.1530096874093535, 0.04481549985496547,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -0.1530096874093535, 0.04481549985496547,
-      0.5224077499274827,
-    ],
-    [
-      -0.26120387496374137, -0.1530096874093535, 0.26120387496374137,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, -0.1530096874093535, 0.26120387496374137,
-      0.5224077499274827,
-    ],
-    [
-      -0.26120387496374137, -0.04481549985496547, -0.5857864376269051,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -0.04481549985496547, -0.5857864376269051,
-      -0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, -0.04481549985496547, 0.04481549985496547,
-      -0.4775922500725174,
-    ],
-    [
-      -0.26120387496374137, -0.04481549985496547, 0.04481549985496547,
-      0.5224077499274827,
-    ],
-    [
-      -0.26120387496374137, -0.04481549985496547, 0.4142135623730949,
-      -0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, -0.04481549985496547, 0.4142135623730949,
-      0.5224077499274827,
-    ],
-    [
-      -0.26120387496374137, 0.26120387496374137, -0.1530096874093535,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, 0.26120387496374137, -0.1530096874093535,
-      0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, 0.26120387496374137, 0.26120387496374137,
-      -0.26120387496374137,
-    ],
-    [
-      -0.26120387496374137, 0.26120387496374137, 0.26120387496374137,
-      0.5224077499274827,
-    ],
-    [
-      -0.26120387496374137, 0.26120387496374137, 0.6306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, 0.26120387496374137, 0.6306019374818707,
-      0.5224077499274827,
-    ],
-    [-0.26120387496374137, 0.3693980625181293, 0.0, -0.10819418755438792],
-    [-0.26120387496374137, 0.3693980625181293, 0.0, 0.10819418755438792],
-    [
-      -0.26120387496374137, 0.3693980625181293, 0.4142135623730949,
-      -0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, 0.3693980625181293, 0.4142135623730949,
-      0.5224077499274827,
-    ],
-    [
-      -0.26120387496374137, 0.3693980625181293, 0.6306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      -0.26120387496374137, 0.3693980625181293, 0.6306019374818707,
-      0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -1.2163883751087756, -1.3060193748187068,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -1.2163883751087756, -1.3060193748187068,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -1.2163883751087756, -1.1978251872643193,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -1.2163883751087756, -1.1978251872643193,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, -1.2163883751087756, -0.9366213123005778,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -1.2163883751087756, -0.9366213123005778,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, -0.8469903125906466, -1.3060193748187068,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -0.8469903125906466, -1.3060193748187068,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -0.8469903125906466, -0.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -0.8469903125906466, -0.6754174373368365,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, -0.8469903125906466, -0.4142135623730949,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -0.8469903125906466, -0.4142135623730949,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, -0.6939806251812932, -1.1978251872643193,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -0.6939806251812932, -1.1978251872643193,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, -0.6939806251812932, -0.5672232497824483,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -0.6939806251812932, -0.5672232497824483,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, -0.6939806251812932, -0.19782518726431952,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, -0.6939806251812932, -0.19782518726431952,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.9366213123005778,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.9366213123005778,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.6754174373368365,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.5672232497824483,
-      -0.7836116248912242,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.5672232497824483,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.04481549985496547,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, -0.04481549985496547,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, 0.06337868769942201,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, 0.06337868769942201,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, -0.32458256266316354, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, 0.04481549985496547, -0.4142135623730949,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, 0.04481549985496547, -0.4142135623730949,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, 0.04481549985496547, -0.04481549985496547,
-      -0.5224077499274827,
-    ],
-    [
-      -0.21638837510877584, 0.04481549985496547, -0.04481549985496547,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, 0.04481549985496547, 0.5857864376269051,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, 0.04481549985496547, 0.5857864376269051,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, 0.19782518726431952, -0.19782518726431952,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, 0.19782518726431952, -0.19782518726431952,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, 0.19782518726431952, 0.06337868769942201,
-      -0.4142135623730949,
-    ],
-    [
-      -0.21638837510877584, 0.19782518726431952, 0.06337868769942201,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, 0.19782518726431952, 0.6939806251812932,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, 0.19782518726431952, 0.6939806251812932,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, 0.5672232497824483, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, 0.5672232497824483, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, 0.5672232497824483, 0.5857864376269051,
-      0.10819418755438792,
-    ],
-    [
-      -0.21638837510877584, 0.5672232497824483, 0.5857864376269051,
-      0.4775922500725174,
-    ],
-    [
-      -0.21638837510877584, 0.5672232497824483, 0.6939806251812932,
-      0.21638837510877584,
-    ],
-    [
-      -0.21638837510877584, 0.5672232497824483, 0.6939806251812932,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, -1.1081941875543877, -1.1530096874093534,
-      -0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, -1.1081941875543877, -1.1530096874093534,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, -1.1081941875543877, -1.0448154998549655,
-      -0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, -1.1081941875543877, -1.0448154998549655,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, -1.1081941875543877, -0.9366213123005778,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, -1.1081941875543877, -0.9366213123005778,
-      -0.4142135623730949,
-    ],
-    [-0.10819418755438792, -1.0, -1.1530096874093534, -0.7836116248912242],
-    [-0.10819418755438792, -1.0, -1.1530096874093534, -0.3693980625181293],
-    [-0.10819418755438792, -1.0, -1.0448154998549655, -0.7836116248912242],
-    [-0.10819418755438792, -1.0, -1.0448154998549655, -0.26120387496374137],
-    [-0.10819418755438792, -1.0, -0.6306019374818707, -0.3693980625181293],
-    [-0.10819418755438792, -1.0, -0.6306019374818707, -0.26120387496374137],
-    [
-      -0.10819418755438792, -0.7387961250362586, -1.1530096874093534,
-      -0.7836116248912242,
-    ],
-    [
-      -0.10819418755438792, -0.7387961250362586, -1.1530096874093534,
-      -0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, -0.7387961250362586, -0.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.10819418755438792, -0.7387961250362586, -0.6754174373368365,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, -0.7387961250362586, -0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, -0.7387961250362586, -0.26120387496374137,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, -0.6306019374818707, -1.1530096874093534,
-      -0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, -0.6306019374818707, -1.1530096874093534,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, -0.6306019374818707, -0.3693980625181293,
-      -0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, -0.6306019374818707, -0.3693980625181293,
-      0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, -0.6306019374818707, -0.26120387496374137,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, -0.6306019374818707, -0.26120387496374137,
-      0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, -0.5857864376269051, -1.0448154998549655,
-      -0.7836116248912242,
-    ],
-    [
-      -0.10819418755438792, -0.5857864376269051, -1.0448154998549655,
-      -0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, -0.5857864376269051, -0.5672232497824483,
-      -0.7836116248912242,
-    ],
-    [
-      -0.10819418755438792, -0.5857864376269051, -0.5672232497824483,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, -0.5857864376269051, -0.04481549985496547,
-      -0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, -0.5857864376269051, -0.04481549985496547,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, -0.4775922500725174, -1.0448154998549655,
-      -0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, -0.4775922500725174, -1.0448154998549655,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, -0.4775922500725174, -0.26120387496374137,
-      -0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, -0.4775922500725174, -0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, -0.4775922500725174, -0.04481549985496547,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, -0.4775922500725174, -0.04481549985496547,
-      0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.9366213123005778,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.9366213123005778,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.6754174373368365,
-      -0.7836116248912242,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.6754174373368365,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.5672232497824483,
-      -0.7836116248912242,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.5672232497824483,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.04481549985496547,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, -0.04481549985496547,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, 0.06337868769942201,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, 0.06337868769942201,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, -0.32458256266316354, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [-0.10819418755438792, 0.0, -0.6306019374818707, -0.3693980625181293],
-    [-0.10819418755438792, 0.0, -0.6306019374818707, -0.26120387496374137],
-    [-0.10819418755438792, 0.0, -0.3693980625181293, -0.6306019374818707],
-    [-0.10819418755438792, 0.0, -0.3693980625181293, 0.26120387496374137],
-    [-0.10819418755438792, 0.0, -0.26120387496374137, -0.6306019374818707],
-    [-0.10819418755438792, 0.0, -0.26120387496374137, 0.3693980625181293],
-    [-0.10819418755438792, 0.0, 0.26120387496374137, -0.3693980625181293],
-    [-0.10819418755438792, 0.0, 0.26120387496374137, 0.6306019374818707],
-    [-0.10819418755438792, 0.0, 0.3693980625181293, -0.26120387496374137],
-    [-0.10819418755438792, 0.0, 0.3693980625181293, 0.6306019374818707],
-    [-0.10819418755438792, 0.0, 0.6306019374818707, 0.26120387496374137],
-    [-0.10819418755438792, 0.0, 0.6306019374818707, 0.3693980625181293],
-    [
-      -0.10819418755438792, 0.1530096874093535, -0.26120387496374137,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, 0.1530096874093535, -0.26120387496374137,
-      0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, 0.1530096874093535, -0.04481549985496547,
-      -0.5224077499274827,
-    ],
-    [
-      -0.10819418755438792, 0.1530096874093535, -0.04481549985496547,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, 0.1530096874093535, 0.7387961250362586,
-      0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, 0.1530096874093535, 0.7387961250362586,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, 0.26120387496374137, -0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, 0.26120387496374137, -0.26120387496374137,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, 0.26120387496374137, 0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, 0.26120387496374137, 0.26120387496374137,
-      0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, 0.26120387496374137, 0.7387961250362586,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, 0.26120387496374137, 0.7387961250362586,
-      0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, 0.306019374818707, -0.04481549985496547,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, 0.306019374818707, -0.04481549985496547,
-      0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, 0.306019374818707, 0.06337868769942201,
-      -0.4142135623730949,
-    ],
-    [
-      -0.10819418755438792, 0.306019374818707, 0.06337868769942201,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, 0.306019374818707, 0.8469903125906466,
-      0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, 0.306019374818707, 0.8469903125906466,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, 0.4142135623730949, -0.04481549985496547,
-      -0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, 0.4142135623730949, -0.04481549985496547,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, 0.4142135623730949, 0.3693980625181293,
-      -0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, 0.4142135623730949, 0.3693980625181293,
-      0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, 0.4142135623730949, 0.8469903125906466,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, 0.4142135623730949, 0.8469903125906466,
-      0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, 0.6754174373368365, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, 0.6754174373368365, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, 0.6754174373368365, 0.7387961250362586,
-      0.10819418755438792,
-    ],
-    [
-      -0.10819418755438792, 0.6754174373368365, 0.7387961250362586,
-      0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, 0.6754174373368365, 0.8469903125906466,
-      0.21638837510877584,
-    ],
-    [
-      -0.10819418755438792, 0.6754174373368365, 0.8469903125906466,
-      0.6306019374818707,
-    ],
-    [
-      -0.10819418755438792, 0.7836116248912242, 0.6306019374818707,
-      0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, 0.7836116248912242, 0.6306019374818707,
-      0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, 0.7836116248912242, 0.7387961250362586,
-      0.26120387496374137,
-    ],
-    [
-      -0.10819418755438792, 0.7836116248912242, 0.7387961250362586,
-      0.4775922500725174,
-    ],
-    [
-      -0.10819418755438792, 0.7836116248912242, 0.8469903125906466,
-      0.3693980625181293,
-    ],
-    [
-      -0.10819418755438792, 0.7836116248912242, 0.8469903125906466,
-      0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.7836116248912242, -0.8469903125906466,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.7836116248912242, -0.8469903125906466,
-      -0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, -0.7836116248912242, -0.7387961250362586,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.7836116248912242, -0.7387961250362586,
-      -0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, -0.7836116248912242, -0.6306019374818707,
-      -0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, -0.7836116248912242, -0.6306019374818707,
-      -0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, -0.6754174373368365, -0.8469903125906466,
-      -0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, -0.6754174373368365, -0.8469903125906466,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, -0.6754174373368365, -0.7387961250362586,
-      -0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, -0.6754174373368365, -0.7387961250362586,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, -0.6754174373368365, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, -0.6754174373368365, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, -0.4142135623730949, -0.8469903125906466,
-      -0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, -0.4142135623730949, -0.8469903125906466,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, -0.4142135623730949, -0.3693980625181293,
-      -0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, -0.4142135623730949, -0.3693980625181293,
-      0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, -0.4142135623730949, 0.04481549985496547,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, -0.4142135623730949, 0.04481549985496547,
-      0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, -0.306019374818707, -0.8469903125906466,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.306019374818707, -0.8469903125906466,
-      -0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, -0.306019374818707, -0.06337868769942201,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.306019374818707, -0.06337868769942201,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, -0.306019374818707, 0.04481549985496547,
-      -0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, -0.306019374818707, 0.04481549985496547,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, -0.26120387496374137, -0.7387961250362586,
-      -0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, -0.26120387496374137, -0.7387961250362586,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, -0.26120387496374137, -0.26120387496374137,
-      -0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, -0.26120387496374137, -0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, -0.26120387496374137, 0.26120387496374137,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, -0.26120387496374137, 0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, -0.1530096874093535, -0.7387961250362586,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.1530096874093535, -0.7387961250362586,
-      -0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, -0.1530096874093535, 0.04481549985496547,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, -0.1530096874093535, 0.04481549985496547,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, -0.1530096874093535, 0.26120387496374137,
-      -0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, -0.1530096874093535, 0.26120387496374137,
-      0.5224077499274827,
-    ],
-    [0.10819418755438792, 0.0, -0.6306019374818707, -0.3693980625181293],
-    [0.10819418755438792, 0.0, -0.6306019374818707, -0.26120387496374137],
-    [0.10819418755438792, 0.0, -0.3693980625181293, -0.6306019374818707],
-    [0.10819418755438792, 0.0, -0.3693980625181293, 0.26120387496374137],
-    [0.10819418755438792, 0.0, -0.26120387496374137, -0.6306019374818707],
-    [0.10819418755438792, 0.0, -0.26120387496374137, 0.3693980625181293],
-    [0.10819418755438792, 0.0, 0.26120387496374137, -0.3693980625181293],
-    [0.10819418755438792, 0.0, 0.26120387496374137, 0.6306019374818707],
-    [0.10819418755438792, 0.0, 0.3693980625181293, -0.26120387496374137],
-    [0.10819418755438792, 0.0, 0.3693980625181293, 0.6306019374818707],
-    [0.10819418755438792, 0.0, 0.6306019374818707, 0.26120387496374137],
-    [0.10819418755438792, 0.0, 0.6306019374818707, 0.3693980625181293],
-    [
-      0.10819418755438792, 0.32458256266316354, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, -0.06337868769942201,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, -0.06337868769942201,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.04481549985496547,
-      -0.4775922500725174,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.04481549985496547,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.5672232497824483,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.5672232497824483,
-      0.7836116248912242,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.6754174373368365,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.9366213123005778,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, 0.32458256266316354, 0.9366213123005778,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, 0.4775922500725174, 0.04481549985496547,
-      -0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, 0.4775922500725174, 0.04481549985496547,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, 0.4775922500725174, 0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, 0.4775922500725174, 0.26120387496374137,
-      0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, 0.4775922500725174, 1.0448154998549655,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, 0.4775922500725174, 1.0448154998549655,
-      0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, 0.5857864376269051, 0.04481549985496547,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, 0.5857864376269051, 0.04481549985496547,
-      0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, 0.5857864376269051, 0.5672232497824483,
-      -0.21638837510877584,
-    ],
-    [
-      0.10819418755438792, 0.5857864376269051, 0.5672232497824483,
-      0.7836116248912242,
-    ],
-    [
-      0.10819418755438792, 0.5857864376269051, 1.0448154998549655,
-      0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, 0.5857864376269051, 1.0448154998549655,
-      0.7836116248912242,
-    ],
-    [
-      0.10819418755438792, 0.6306019374818707, 0.26120387496374137,
-      -0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, 0.6306019374818707, 0.26120387496374137,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, 0.6306019374818707, 0.3693980625181293,
-      -0.26120387496374137,
-    ],
-    [
-      0.10819418755438792, 0.6306019374818707, 0.3693980625181293,
-      0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, 0.6306019374818707, 1.1530096874093534,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, 0.6306019374818707, 1.1530096874093534,
-      0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, 0.7387961250362586, 0.26120387496374137,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, 0.7387961250362586, 0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, 0.7387961250362586, 0.6754174373368365,
-      -0.10819418755438792,
-    ],
-    [
-      0.10819418755438792, 0.7387961250362586, 0.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.10819418755438792, 0.7387961250362586, 1.1530096874093534,
-      0.3693980625181293,
-    ],
-    [
-      0.10819418755438792, 0.7387961250362586, 1.1530096874093534,
-      0.7836116248912242,
-    ],
-    [0.10819418755438792, 1.0, 0.6306019374818707, 0.26120387496374137],
-    [0.10819418755438792, 1.0, 0.6306019374818707, 0.3693980625181293],
-    [0.10819418755438792, 1.0, 1.0448154998549655, 0.26120387496374137],
-    [0.10819418755438792, 1.0, 1.0448154998549655, 0.7836116248912242],
-    [0.10819418755438792, 1.0, 1.1530096874093534, 0.3693980625181293],
-    [0.10819418755438792, 1.0, 1.1530096874093534, 0.7836116248912242],
-    [
-      0.10819418755438792, 1.1081941875543877, 0.9366213123005778,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, 1.1081941875543877, 0.9366213123005778,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, 1.1081941875543877, 1.0448154998549655,
-      0.4142135623730949,
-    ],
-    [
-      0.10819418755438792, 1.1081941875543877, 1.0448154998549655,
-      0.6306019374818707,
-    ],
-    [
-      0.10819418755438792, 1.1081941875543877, 1.1530096874093534,
-      0.5224077499274827,
-    ],
-    [
-      0.10819418755438792, 1.1081941875543877, 1.1530096874093534,
-      0.6306019374818707,
-    ],
-    [
-      0.21638837510877584, -0.5672232497824483, -0.6939806251812932,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, -0.5672232497824483, -0.6939806251812932,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, -0.5672232497824483, -0.5857864376269051,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, -0.5672232497824483, -0.5857864376269051,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, -0.5672232497824483, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, -0.5672232497824483, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, -0.19782518726431952, -0.6939806251812932,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, -0.19782518726431952, -0.6939806251812932,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, -0.19782518726431952, -0.06337868769942201,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, -0.19782518726431952, -0.06337868769942201,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, -0.19782518726431952, 0.19782518726431952,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, -0.19782518726431952, 0.19782518726431952,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, -0.04481549985496547, -0.5857864376269051,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, -0.04481549985496547, -0.5857864376269051,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, -0.04481549985496547, 0.04481549985496547,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, -0.04481549985496547, 0.04481549985496547,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, -0.04481549985496547, 0.4142135623730949,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, -0.04481549985496547, 0.4142135623730949,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, -0.06337868769942201,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, -0.06337868769942201,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.04481549985496547,
-      -0.4775922500725174,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.04481549985496547,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.5672232497824483,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.5672232497824483,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.6754174373368365,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.9366213123005778,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, 0.32458256266316354, 0.9366213123005778,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 0.6939806251812932, 0.19782518726431952,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, 0.6939806251812932, 0.19782518726431952,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, 0.6939806251812932, 0.5672232497824483,
-      -0.21638837510877584,
-    ],
-    [
-      0.21638837510877584, 0.6939806251812932, 0.5672232497824483,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 0.6939806251812932, 1.1978251872643193,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, 0.6939806251812932, 1.1978251872643193,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 0.8469903125906466, 0.4142135623730949,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, 0.8469903125906466, 0.4142135623730949,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 0.8469903125906466, 0.6754174373368365,
-      -0.10819418755438792,
-    ],
-    [
-      0.21638837510877584, 0.8469903125906466, 0.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 0.8469903125906466, 1.3060193748187068,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 0.8469903125906466, 1.3060193748187068,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 1.2163883751087756, 0.9366213123005778,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, 1.2163883751087756, 0.9366213123005778,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 1.2163883751087756, 1.1978251872643193,
-      0.4142135623730949,
-    ],
-    [
-      0.21638837510877584, 1.2163883751087756, 1.1978251872643193,
-      0.7836116248912242,
-    ],
-    [
-      0.21638837510877584, 1.2163883751087756, 1.3060193748187068,
-      0.5224077499274827,
-    ],
-    [
-      0.21638837510877584, 1.2163883751087756, 1.3060193748187068,
-      0.7836116248912242,
-    ],
-    [
-      0.26120387496374137, -0.3693980625181293, -0.6306019374818707,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, -0.3693980625181293, -0.6306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, -0.3693980625181293, -0.4142135623730949,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, -0.3693980625181293, -0.4142135623730949,
-      0.10819418755438792,
-    ],
-    [0.26120387496374137, -0.3693980625181293, 0.0, -0.10819418755438792],
-    [0.26120387496374137, -0.3693980625181293, 0.0, 0.10819418755438792],
-    [
-      0.26120387496374137, -0.26120387496374137, -0.6306019374818707,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, -0.26120387496374137, -0.6306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, -0.26120387496374137, -0.26120387496374137,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, -0.26120387496374137, -0.26120387496374137,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, -0.26120387496374137, 0.1530096874093535,
-      -0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, -0.26120387496374137, 0.1530096874093535,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 0.04481549985496547, -0.4142135623730949,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, 0.04481549985496547, -0.4142135623730949,
-      0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, 0.04481549985496547, -0.04481549985496547,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, 0.04481549985496547, -0.04481549985496547,
-      0.4775922500725174,
-    ],
-    [
-      0.26120387496374137, 0.04481549985496547, 0.5857864376269051,
-      0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, 0.04481549985496547, 0.5857864376269051,
-      0.4775922500725174,
-    ],
-    [
-      0.26120387496374137, 0.1530096874093535, -0.26120387496374137,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, 0.1530096874093535, -0.26120387496374137,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 0.1530096874093535, -0.04481549985496547,
-      -0.5224077499274827,
-    ],
-    [
-      0.26120387496374137, 0.1530096874093535, -0.04481549985496547,
-      0.4775922500725174,
-    ],
-    [
-      0.26120387496374137, 0.1530096874093535, 0.7387961250362586,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 0.1530096874093535, 0.7387961250362586,
-      0.4775922500725174,
-    ],
-    [0.26120387496374137, 0.6306019374818707, 0.0, -0.10819418755438792],
-    [0.26120387496374137, 0.6306019374818707, 0.0, 0.10819418755438792],
-    [
-      0.26120387496374137, 0.6306019374818707, 0.7836116248912242,
-      -0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, 0.6306019374818707, 0.7836116248912242,
-      0.8918058124456121,
-    ],
-    [0.26120387496374137, 0.6306019374818707, 1.0, 0.10819418755438792],
-    [0.26120387496374137, 0.6306019374818707, 1.0, 0.8918058124456121],
-    [
-      0.26120387496374137, 0.7387961250362586, 0.1530096874093535,
-      -0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, 0.7387961250362586, 0.1530096874093535,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 0.7387961250362586, 0.7836116248912242,
-      -0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, 0.7387961250362586, 0.7836116248912242,
-      0.8918058124456121,
-    ],
-    [
-      0.26120387496374137, 0.7387961250362586, 1.1530096874093534,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 0.7387961250362586, 1.1530096874093534,
-      0.8918058124456121,
-    ],
-    [
-      0.26120387496374137, 1.0448154998549655, 0.5857864376269051,
-      0.10819418755438792,
-    ],
-    [
-      0.26120387496374137, 1.0448154998549655, 0.5857864376269051,
-      0.4775922500725174,
-    ],
-    [0.26120387496374137, 1.0448154998549655, 1.0, 0.10819418755438792],
-    [0.26120387496374137, 1.0448154998549655, 1.0, 0.8918058124456121],
-    [
-      0.26120387496374137, 1.0448154998549655, 1.3693980625181292,
-      0.4775922500725174,
-    ],
-    [
-      0.26120387496374137, 1.0448154998549655, 1.3693980625181292,
-      0.8918058124456121,
-    ],
-    [
-      0.26120387496374137, 1.1530096874093534, 0.7387961250362586,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 1.1530096874093534, 0.7387961250362586,
-      0.4775922500725174,
-    ],
-    [
-      0.26120387496374137, 1.1530096874093534, 1.1530096874093534,
-      0.26120387496374137,
-    ],
-    [
-      0.26120387496374137, 1.1530096874093534, 1.1530096874093534,
-      0.8918058124456121,
-    ],
-    [
-      0.26120387496374137, 1.1530096874093534, 1.3693980625181292,
-      0.4775922500725174,
-    ],
-    [
-      0.26120387496374137, 1.1530096874093534, 1.3693980625181292,
-      0.8918058124456121,
-    ],
-    [
-      0.3693980625181293, -0.26120387496374137, -0.4775922500725174,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, -0.26120387496374137, -0.4775922500725174,
-      -0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, -0.26120387496374137, -0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, -0.26120387496374137, -0.26120387496374137,
-      0.10819418755438792,
-    ],
-    [0.3693980625181293, -0.26120387496374137, 0.0, -0.10819418755438792],
-    [0.3693980625181293, -0.26120387496374137, 0.0, 0.10819418755438792],
-    [
-      0.3693980625181293, -0.04481549985496547, -0.4775922500725174,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, -0.04481549985496547, -0.4775922500725174,
-      -0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, -0.04481549985496547, 0.04481549985496547,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, -0.04481549985496547, 0.04481549985496547,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, -0.04481549985496547, 0.306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, -0.04481549985496547, 0.306019374818707,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 0.26120387496374137, -0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, 0.26120387496374137, -0.26120387496374137,
-      0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, 0.26120387496374137, 0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, 0.26120387496374137, 0.26120387496374137,
-      0.6306019374818707,
-    ],
-    [
-      0.3693980625181293, 0.26120387496374137, 0.7387961250362586,
-      0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, 0.26120387496374137, 0.7387961250362586,
-      0.6306019374818707,
-    ],
-    [
-      0.3693980625181293, 0.4775922500725174, 0.04481549985496547,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, 0.4775922500725174, 0.04481549985496547,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 0.4775922500725174, 0.26120387496374137,
-      -0.3693980625181293,
-    ],
-    [
-      0.3693980625181293, 0.4775922500725174, 0.26120387496374137,
-      0.6306019374818707,
-    ],
-    [
-      0.3693980625181293, 0.4775922500725174, 1.0448154998549655,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 0.4775922500725174, 1.0448154998549655,
-      0.6306019374818707,
-    ],
-    [0.3693980625181293, 0.6306019374818707, 0.0, -0.10819418755438792],
-    [0.3693980625181293, 0.6306019374818707, 0.0, 0.10819418755438792],
-    [
-      0.3693980625181293, 0.6306019374818707, 0.7836116248912242,
-      -0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, 0.6306019374818707, 0.7836116248912242,
-      0.8918058124456121,
-    ],
-    [0.3693980625181293, 0.6306019374818707, 1.0, 0.10819418755438792],
-    [0.3693980625181293, 0.6306019374818707, 1.0, 0.8918058124456121],
-    [
-      0.3693980625181293, 0.8469903125906466, 0.306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, 0.8469903125906466, 0.306019374818707,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 0.8469903125906466, 0.7836116248912242,
-      -0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, 0.8469903125906466, 0.7836116248912242,
-      0.8918058124456121,
-    ],
-    [
-      0.3693980625181293, 0.8469903125906466, 1.3060193748187068,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 0.8469903125906466, 1.3060193748187068,
-      0.8918058124456121,
-    ],
-    [
-      0.3693980625181293, 1.1530096874093534, 0.7387961250362586,
-      0.10819418755438792,
-    ],
-    [
-      0.3693980625181293, 1.1530096874093534, 0.7387961250362586,
-      0.6306019374818707,
-    ],
-    [0.3693980625181293, 1.1530096874093534, 1.0, 0.10819418755438792],
-    [0.3693980625181293, 1.1530096874093534, 1.0, 0.8918058124456121],
-    [
-      0.3693980625181293, 1.1530096874093534, 1.5224077499274826,
-      0.6306019374818707,
-    ],
-    [
-      0.3693980625181293, 1.1530096874093534, 1.5224077499274826,
-      0.8918058124456121,
-    ],
-    [
-      0.3693980625181293, 1.3693980625181292, 1.0448154998549655,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 1.3693980625181292, 1.0448154998549655,
-      0.6306019374818707,
-    ],
-    [
-      0.3693980625181293, 1.3693980625181292, 1.3060193748187068,
-      0.4142135623730949,
-    ],
-    [
-      0.3693980625181293, 1.3693980625181292, 1.3060193748187068,
-      0.8918058124456121,
-    ],
-    [
-      0.3693980625181293, 1.3693980625181292, 1.5224077499274826,
-      0.6306019374818707,
-    ],
-    [
-      0.3693980625181293, 1.3693980625181292, 1.5224077499274826,
-      0.8918058124456121,
-    ],
-    [
-      0.4142135623730949, -0.06337868769942201, -0.306019374818707,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, -0.06337868769942201, -0.306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      0.4142135623730949, -0.06337868769942201, -0.19782518726431952,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, -0.06337868769942201, -0.19782518726431952,
-      0.21638837510877584,
-    ],
-    [
-      0.4142135623730949, -0.06337868769942201, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      0.4142135623730949, -0.06337868769942201, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      0.4142135623730949, 0.04481549985496547, -0.306019374818707,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, 0.04481549985496547, -0.306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      0.4142135623730949, 0.04481549985496547, -0.04481549985496547,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, 0.04481549985496547, -0.04481549985496547,
-      0.3693980625181293,
-    ],
-    [
-      0.4142135623730949, 0.04481549985496547, 0.4775922500725174,
-      0.10819418755438792,
-    ],
-    [
-      0.4142135623730949, 0.04481549985496547, 0.4775922500725174,
-      0.3693980625181293,
-    ],
-    [
-      0.4142135623730949, 0.19782518726431952, -0.19782518726431952,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, 0.19782518726431952, -0.19782518726431952,
-      0.21638837510877584,
-    ],
-    [
-      0.4142135623730949, 0.19782518726431952, 0.06337868769942201,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, 0.19782518726431952, 0.06337868769942201,
-      0.4775922500725174,
-    ],
-    [
-      0.4142135623730949, 0.19782518726431952, 0.6939806251812932,
-      0.21638837510877584,
-    ],
-    [
-      0.4142135623730949, 0.19782518726431952, 0.6939806251812932,
-      0.4775922500725174,
-    ],
-    [
-      0.4142135623730949, 0.306019374818707, -0.04481549985496547,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, 0.306019374818707, -0.04481549985496547,
-      0.3693980625181293,
-    ],
-    [
-      0.4142135623730949, 0.306019374818707, 0.06337868769942201,
-      -0.4142135623730949,
-    ],
-    [
-      0.4142135623730949, 0.306019374818707, 0.06337868769942201,
-      0.4775922500725174,
-    ],
-    [
-      0.4142135623730949, 0.306019374818707, 0.8469903125906466,
-      0.3693980625181293,
-    ],
-    [
-      0.4142135623730949, 0.306019374818707, 0.8469903125906466,
-      0.4775922500725174,
-    ],
-    [
-      0.4142135623730949, 0.9366213123005778, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      0.4142135623730949, 0.9366213123005778, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      0.4142135623730949, 0.9366213123005778, 1.1081941875543877,
-      0.10819418755438792,
-    ],
-    [0.4142135623730949, 0.9366213123005778, 1.1081941875543877, 1.0],
-    [
-      0.4142135623730949, 0.9366213123005778, 1.2163883751087756,
-      0.21638837510877584,
-    ],
-    [0.4142135623730949, 0.9366213123005778, 1.2163883751087756, 1.0],
-    [
-      0.4142135623730949, 1.0448154998549655, 0.4775922500725174,
-      0.10819418755438792,
-    ],
-    [
-      0.4142135623730949, 1.0448154998549655, 0.4775922500725174,
-      0.3693980625181293,
-    ],
-    [
-      0.4142135623730949, 1.0448154998549655, 1.1081941875543877,
-      0.10819418755438792,
-    ],
-    [0.4142135623730949, 1.0448154998549655, 1.1081941875543877, 1.0],
-    [
-      0.4142135623730949, 1.0448154998549655, 1.3693980625181292,
-      0.3693980625181293,
-    ],
-    [0.4142135623730949, 1.0448154998549655, 1.3693980625181292, 1.0],
-    [
-      0.4142135623730949, 1.1978251872643193, 0.6939806251812932,
-      0.21638837510877584,
-    ],
-    [
-      0.4142135623730949, 1.1978251872643193, 0.6939806251812932,
-      0.4775922500725174,
-    ],
-    [
-      0.4142135623730949, 1.1978251872643193, 1.2163883751087756,
-      0.21638837510877584,
-    ],
-    [0.4142135623730949, 1.1978251872643193, 1.2163883751087756, 1.0],
-    [
-      0.4142135623730949, 1.1978251872643193, 1.4775922500725172,
-      0.4775922500725174,
-    ],
-    [0.4142135623730949, 1.1978251872643193, 1.4775922500725172, 1.0],
-    [
-      0.4142135623730949, 1.3060193748187068, 0.8469903125906466,
-      0.3693980625181293,
-    ],
-    [
-      0.4142135623730949, 1.3060193748187068, 0.8469903125906466,
-      0.4775922500725174,
-    ],
-    [
-      0.4142135623730949, 1.3060193748187068, 1.3693980625181292,
-      0.3693980625181293,
-    ],
-    [0.4142135623730949, 1.3060193748187068, 1.3693980625181292, 1.0],
-    [
-      0.4142135623730949, 1.3060193748187068, 1.4775922500725172,
-      0.4775922500725174,
-    ],
-    [0.4142135623730949, 1.3060193748187068, 1.4775922500725172, 1.0],
-    [
-      0.4775922500725174, -0.04481549985496547, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, -0.04481549985496547, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, -0.04481549985496547, 0.04481549985496547,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, -0.04481549985496547, 0.04481549985496547,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, -0.04481549985496547, 0.1530096874093535,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, -0.04481549985496547, 0.1530096874093535,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 0.06337868769942201, -0.32458256266316354,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, 0.06337868769942201, -0.32458256266316354,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, 0.06337868769942201, 0.19782518726431952,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, 0.06337868769942201, 0.19782518726431952,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 0.06337868769942201, 0.306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, 0.06337868769942201, 0.306019374818707,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 0.5857864376269051, 0.04481549985496547,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, 0.5857864376269051, 0.04481549985496547,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 0.5857864376269051, 0.5672232497824483,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, 0.5857864376269051, 0.5672232497824483,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 0.5857864376269051, 1.0448154998549655,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 0.5857864376269051, 1.0448154998549655,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 0.6939806251812932, 0.19782518726431952,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, 0.6939806251812932, 0.19782518726431952,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 0.6939806251812932, 0.5672232497824483,
-      -0.21638837510877584,
-    ],
-    [
-      0.4775922500725174, 0.6939806251812932, 0.5672232497824483,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 0.6939806251812932, 1.1978251872643193,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 0.6939806251812932, 1.1978251872643193,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 0.7387961250362586, 0.1530096874093535,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, 0.7387961250362586, 0.1530096874093535,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 0.7387961250362586, 0.7836116248912242,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, 0.7387961250362586, 0.7836116248912242,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 0.7387961250362586, 1.1530096874093534,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 0.7387961250362586, 1.1530096874093534,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 0.8469903125906466, 0.306019374818707,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, 0.8469903125906466, 0.306019374818707,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 0.8469903125906466, 0.7836116248912242,
-      -0.10819418755438792,
-    ],
-    [
-      0.4775922500725174, 0.8469903125906466, 0.7836116248912242,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 0.8469903125906466, 1.3060193748187068,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 0.8469903125906466, 1.3060193748187068,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 1.3693980625181292, 1.0448154998549655,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 1.3693980625181292, 1.0448154998549655,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 1.3693980625181292, 1.1530096874093534,
-      0.26120387496374137,
-    ],
-    [
-      0.4775922500725174, 1.3693980625181292, 1.1530096874093534,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 1.3693980625181292, 1.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 1.3693980625181292, 1.6754174373368365,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 1.4775922500725172, 1.1978251872643193,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 1.4775922500725172, 1.1978251872643193,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 1.4775922500725172, 1.3060193748187068,
-      0.4142135623730949,
-    ],
-    [
-      0.4775922500725174, 1.4775922500725172, 1.3060193748187068,
-      0.8918058124456121,
-    ],
-    [
-      0.4775922500725174, 1.4775922500725172, 1.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.4775922500725174, 1.4775922500725172, 1.6754174373368365,
-      0.8918058124456121,
-    ],
-    [
-      0.5224077499274827, 0.04481549985496547, -0.1530096874093535,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.04481549985496547, -0.1530096874093535,
-      0.10819418755438792,
-    ],
-    [
-      0.5224077499274827, 0.04481549985496547, -0.04481549985496547,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.04481549985496547, -0.04481549985496547,
-      0.21638837510877584,
-    ],
-    [
-      0.5224077499274827, 0.04481549985496547, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      0.5224077499274827, 0.04481549985496547, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      0.5224077499274827, 0.26120387496374137, -0.1530096874093535,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.26120387496374137, -0.1530096874093535,
-      0.10819418755438792,
-    ],
-    [
-      0.5224077499274827, 0.26120387496374137, 0.26120387496374137,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.26120387496374137, 0.26120387496374137,
-      0.5224077499274827,
-    ],
-    [
-      0.5224077499274827, 0.26120387496374137, 0.6306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      0.5224077499274827, 0.26120387496374137, 0.6306019374818707,
-      0.5224077499274827,
-    ],
-    [
-      0.5224077499274827, 0.4142135623730949, -0.04481549985496547,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.4142135623730949, -0.04481549985496547,
-      0.21638837510877584,
-    ],
-    [
-      0.5224077499274827, 0.4142135623730949, 0.3693980625181293,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.4142135623730949, 0.3693980625181293,
-      0.6306019374818707,
-    ],
-    [
-      0.5224077499274827, 0.4142135623730949, 0.8469903125906466,
-      0.21638837510877584,
-    ],
-    [
-      0.5224077499274827, 0.4142135623730949, 0.8469903125906466,
-      0.6306019374818707,
-    ],
-    [
-      0.5224077499274827, 0.6306019374818707, 0.26120387496374137,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.6306019374818707, 0.26120387496374137,
-      0.5224077499274827,
-    ],
-    [
-      0.5224077499274827, 0.6306019374818707, 0.3693980625181293,
-      -0.26120387496374137,
-    ],
-    [
-      0.5224077499274827, 0.6306019374818707, 0.3693980625181293,
-      0.6306019374818707,
-    ],
-    [
-      0.5224077499274827, 0.6306019374818707, 1.1530096874093534,
-      0.5224077499274827,
-    ],
-    [
-      0.5224077499274827, 0.6306019374818707, 1.1530096874093534,
-      0.6306019374818707,
-    ],
-    [
-      0.5224077499274827, 0.9366213123005778, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      0.5224077499274827, 0.9366213123005778, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      0.5224077499274827, 0.9366213123005778, 1.1081941875543877,
-      0.10819418755438792,
-    ],
-    [0.5224077499274827, 0.9366213123005778, 1.1081941875543877, 1.0],
-    [
-      0.5224077499274827, 0.9366213123005778, 1.2163883751087756,
-      0.21638837510877584,
-    ],
-    [0.5224077499274827, 0.9366213123005778, 1.2163883751087756, 1.0],
-    [
-      0.5224077499274827, 1.1530096874093534, 0.6306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      0.5224077499274827, 1.1530096874093534, 0.6306019374818707,
-      0.5224077499274827,
-    ],
-    [
-      0.5224077499274827, 1.1530096874093534, 1.1081941875543877,
-      0.10819418755438792,
-    ],
-    [0.5224077499274827, 1.1530096874093534, 1.1081941875543877, 1.0],
-    [
-      0.5224077499274827, 1.1530096874093534, 1.5224077499274826,
-      0.5224077499274827,
-    ],
-    [0.5224077499274827, 1.1530096874093534, 1.5224077499274826, 1.0],
-    [
-      0.5224077499274827, 1.3060193748187068, 0.8469903125906466,
-      0.21638837510877584,
-    ],
-    [
-      0.5224077499274827, 1.3060193748187068, 0.8469903125906466,
-      0.6306019374818707,
-    ],
-    [
-      0.5224077499274827, 1.3060193748187068, 1.2163883751087756,
-      0.21638837510877584,
-    ],
-    [0.5224077499274827, 1.3060193748187068, 1.2163883751087756, 1.0],
-    [
-      0.5224077499274827, 1.3060193748187068, 1.6306019374818708,
-      0.6306019374818707,
-    ],
-    [0.5224077499274827, 1.3060193748187068, 1.6306019374818708, 1.0],
-    [
-      0.5224077499274827, 1.5224077499274826, 1.1530096874093534,
-      0.5224077499274827,
-    ],
-    [
-      0.5224077499274827, 1.5224077499274826, 1.1530096874093534,
-      0.6306019374818707,
-    ],
-    [
-      0.5224077499274827, 1.5224077499274826, 1.5224077499274826,
-      0.5224077499274827,
-    ],
-    [0.5224077499274827, 1.5224077499274826, 1.5224077499274826, 1.0],
-    [
-      0.5224077499274827, 1.5224077499274826, 1.6306019374818708,
-      0.6306019374818707,
-    ],
-    [0.5224077499274827, 1.5224077499274826, 1.6306019374818708, 1.0],
-    [0.6306019374818707, 0.26120387496374137, 0.0, -0.10819418755438792],
-    [0.6306019374818707, 0.26120387496374137, 0.0, 0.10819418755438792],
-    [
-      0.6306019374818707, 0.26120387496374137, 0.26120387496374137,
-      -0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.26120387496374137, 0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      0.6306019374818707, 0.26120387496374137, 0.4775922500725174,
-      0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.26120387496374137, 0.4775922500725174,
-      0.3693980625181293,
-    ],
-    [0.6306019374818707, 0.3693980625181293, 0.0, -0.10819418755438792],
-    [0.6306019374818707, 0.3693980625181293, 0.0, 0.10819418755438792],
-    [
-      0.6306019374818707, 0.3693980625181293, 0.4142135623730949,
-      -0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.3693980625181293, 0.4142135623730949,
-      0.5224077499274827,
-    ],
-    [
-      0.6306019374818707, 0.3693980625181293, 0.6306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.3693980625181293, 0.6306019374818707,
-      0.5224077499274827,
-    ],
-    [
-      0.6306019374818707, 0.7387961250362586, 0.26120387496374137,
-      -0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.7387961250362586, 0.26120387496374137,
-      0.3693980625181293,
-    ],
-    [
-      0.6306019374818707, 0.7387961250362586, 0.6754174373368365,
-      -0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.7387961250362586, 0.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.6306019374818707, 0.7387961250362586, 1.1530096874093534,
-      0.3693980625181293,
-    ],
-    [
-      0.6306019374818707, 0.7387961250362586, 1.1530096874093534,
-      0.7836116248912242,
-    ],
-    [
-      0.6306019374818707, 0.8469903125906466, 0.4142135623730949,
-      -0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.8469903125906466, 0.4142135623730949,
-      0.5224077499274827,
-    ],
-    [
-      0.6306019374818707, 0.8469903125906466, 0.6754174373368365,
-      -0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 0.8469903125906466, 0.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.6306019374818707, 0.8469903125906466, 1.3060193748187068,
-      0.5224077499274827,
-    ],
-    [
-      0.6306019374818707, 0.8469903125906466, 1.3060193748187068,
-      0.7836116248912242,
-    ],
-    [
-      0.6306019374818707, 1.0448154998549655, 0.4775922500725174,
-      0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 1.0448154998549655, 0.4775922500725174,
-      0.3693980625181293,
-    ],
-    [
-      0.6306019374818707, 1.0448154998549655, 1.1081941875543877,
-      0.10819418755438792,
-    ],
-    [0.6306019374818707, 1.0448154998549655, 1.1081941875543877, 1.0],
-    [
-      0.6306019374818707, 1.0448154998549655, 1.3693980625181292,
-      0.3693980625181293,
-    ],
-    [0.6306019374818707, 1.0448154998549655, 1.3693980625181292, 1.0],
-    [
-      0.6306019374818707, 1.1530096874093534, 0.6306019374818707,
-      0.10819418755438792,
-    ],
-    [
-      0.6306019374818707, 1.1530096874093534, 0.6306019374818707,
-      0.5224077499274827,
-    ],
-    [
-      0.6306019374818707, 1.1530096874093534, 1.1081941875543877,
-      0.10819418755438792,
-    ],
-    [0.6306019374818707, 1.1530096874093534, 1.1081941875543877, 1.0],
-    [
-      0.6306019374818707, 1.1530096874093534, 1.5224077499274826,
-      0.5224077499274827,
-    ],
-    [0.6306019374818707, 1.1530096874093534, 1.5224077499274826, 1.0],
-    [
-      0.6306019374818707, 1.5224077499274826, 1.1530096874093534,
-      0.3693980625181293,
-    ],
-    [
-      0.6306019374818707, 1.5224077499274826, 1.1530096874093534,
-      0.7836116248912242,
-    ],
-    [
-      0.6306019374818707, 1.5224077499274826, 1.3693980625181292,
-      0.3693980625181293,
-    ],
-    [0.6306019374818707, 1.5224077499274826, 1.3693980625181292, 1.0],
-    [
-      0.6306019374818707, 1.5224077499274826, 1.7836116248912242,
-      0.7836116248912242,
-    ],
-    [0.6306019374818707, 1.5224077499274826, 1.7836116248912242, 1.0],
-    [
-      0.6306019374818707, 1.6306019374818708, 1.3060193748187068,
-      0.5224077499274827,
-    ],
-    [
-      0.6306019374818707, 1.6306019374818708, 1.3060193748187068,
-      0.7836116248912242,
-    ],
-    [
-      0.6306019374818707, 1.6306019374818708, 1.5224077499274826,
-      0.5224077499274827,
-    ],
-    [0.6306019374818707, 1.6306019374818708, 1.5224077499274826, 1.0],
-    [
-      0.6306019374818707, 1.6306019374818708, 1.7836116248912242,
-      0.7836116248912242,
-    ],
-    [0.6306019374818707, 1.6306019374818708, 1.7836116248912242, 1.0],
-    [
-      0.7836116248912242, 0.5672232497824483, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      0.7836116248912242, 0.5672232497824483, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      0.7836116248912242, 0.5672232497824483, 0.5857864376269051,
-      0.10819418755438792,
-    ],
-    [
-      0.7836116248912242, 0.5672232497824483, 0.5857864376269051,
-      0.4775922500725174,
-    ],
-    [
-      0.7836116248912242, 0.5672232497824483, 0.6939806251812932,
-      0.21638837510877584,
-    ],
-    [
-      0.7836116248912242, 0.5672232497824483, 0.6939806251812932,
-      0.4775922500725174,
-    ],
-    [
-      0.7836116248912242, 0.6754174373368365, 0.32458256266316354,
-      0.10819418755438792,
-    ],
-    [
-      0.7836116248912242, 0.6754174373368365, 0.32458256266316354,
-      0.21638837510877584,
-    ],
-    [
-      0.7836116248912242, 0.6754174373368365, 0.7387961250362586,
-      0.10819418755438792,
-    ],
-    [
-      0.7836116248912242, 0.6754174373368365, 0.7387961250362586,
-      0.6306019374818707,
-    ],
-    [
-      0.7836116248912242, 0.6754174373368365, 0.8469903125906466,
-      0.21638837510877584,
-    ],
-    [
-      0.7836116248912242, 0.6754174373368365, 0.8469903125906466,
-      0.6306019374818707,
-    ],
-    [
-      0.7836116248912242, 1.0448154998549655, 0.5857864376269051,
-      0.10819418755438792,
-    ],
-    [
-      0.7836116248912242, 1.0448154998549655, 0.5857864376269051,
-      0.4775922500725174,
-    ],
-    [0.7836116248912242, 1.0448154998549655, 1.0, 0.10819418755438792],
-    [0.7836116248912242, 1.0448154998549655, 1.0, 0.8918058124456121],
-    [
-      0.7836116248912242, 1.0448154998549655, 1.3693980625181292,
-      0.4775922500725174,
-    ],
-    [
-      0.7836116248912242, 1.0448154998549655, 1.3693980625181292,
-      0.8918058124456121,
-    ],
-    [
-      0.7836116248912242, 1.1530096874093534, 0.7387961250362586,
-      0.10819418755438792,
-    ],
-    [
-      0.7836116248912242, 1.1530096874093534, 0.7387961250362586,
-      0.6306019374818707,
-    ],
-    [0.7836116248912242, 1.1530096874093534, 1.0, 0.10819418755438792],
-    [0.7836116248912242, 1.1530096874093534, 1.0, 0.8918058124456121],
-    [
-      0.7836116248912242, 1.1530096874093534, 1.5224077499274826,
-      0.6306019374818707,
-    ],
-    [
-      0.7836116248912242, 1.1530096874093534, 1.5224077499274826,
-      0.8918058124456121,
-    ],
-    [
-      0.7836116248912242, 1.1978251872643193, 0.6939806251812932,
-      0.21638837510877584,
-    ],
-    [
-      0.7836116248912242, 1.1978251872643193, 0.6939806251812932,
-      0.4775922500725174,
-    ],
-    [
-      0.7836116248912242, 1.1978251872643193, 1.2163883751087756,
-      0.21638837510877584,
-    ],
-    [0.7836116248912242, 1.1978251872643193, 1.2163883751087756, 1.0],
-    [
-      0.7836116248912242, 1.1978251872643193, 1.4775922500725172,
-      0.4775922500725174,
-    ],
-    [0.7836116248912242, 1.1978251872643193, 1.4775922500725172, 1.0],
-    [
-      0.7836116248912242, 1.3060193748187068, 0.8469903125906466,
-      0.21638837510877584,
-    ],
-    [
-      0.7836116248912242, 1.3060193748187068, 0.8469903125906466,
-      0.6306019374818707,
-    ],
-    [
-      0.7836116248912242, 1.3060193748187068, 1.2163883751087756,
-      0.21638837510877584,
-    ],
-    [0.7836116248912242, 1.3060193748187068, 1.2163883751087756, 1.0],
-    [
-      0.7836116248912242, 1.3060193748187068, 1.6306019374818708,
-      0.6306019374818707,
-    ],
-    [0.7836116248912242, 1.3060193748187068, 1.6306019374818708, 1.0],
-    [
-      0.7836116248912242, 1.6754174373368365, 1.3693980625181292,
-      0.4775922500725174,
-    ],
-    [
-      0.7836116248912242, 1.6754174373368365, 1.3693980625181292,
-      0.8918058124456121,
-    ],
-    [
-      0.7836116248912242, 1.6754174373368365, 1.4775922500725172,
-      0.4775922500725174,
-    ],
-    [0.7836116248912242, 1.6754174373368365, 1.4775922500725172, 1.0],
-    [
-      0.7836116248912242, 1.6754174373368365, 1.8918058124456123,
-      0.8918058124456121,
-    ],
-    [0.7836116248912242, 1.6754174373368365, 1.8918058124456123, 1.0],
-    [
-      0.7836116248912242, 1.7836116248912242, 1.5224077499274826,
-      0.6306019374818707,
-    ],
-    [
-      0.7836116248912242, 1.7836116248912242, 1.5224077499274826,
-      0.8918058124456121,
-    ],
-    [
-      0.7836116248912242, 1.7836116248912242, 1.6306019374818708,
-      0.6306019374818707,
-    ],
-    [0.7836116248912242, 1.7836116248912242, 1.6306019374818708, 1.0],
-    [
-      0.7836116248912242, 1.7836116248912242, 1.8918058124456123,
-      0.8918058124456121,
-    ],
-    [0.7836116248912242, 1.7836116248912242, 1.8918058124456123, 1.0],
-    [
-      0.8918058124456121, 0.7836116248912242, 0.6306019374818707,
-      0.26120387496374137,
-    ],
-    [
-      0.8918058124456121, 0.7836116248912242, 0.6306019374818707,
-      0.3693980625181293,
-    ],
-    [
-      0.8918058124456121, 0.7836116248912242, 0.7387961250362586,
-      0.26120387496374137,
-    ],
-    [
-      0.8918058124456121, 0.7836116248912242, 0.7387961250362586,
-      0.4775922500725174,
-    ],
-    [
-      0.8918058124456121, 0.7836116248912242, 0.8469903125906466,
-      0.3693980625181293,
-    ],
-    [
-      0.8918058124456121, 0.7836116248912242, 0.8469903125906466,
-      0.4775922500725174,
-    ],
-    [0.8918058124456121, 1.0, 0.6306019374818707, 0.26120387496374137],
-    [0.8918058124456121, 1.0, 0.6306019374818707, 0.3693980625181293],
-    [0.8918058124456121, 1.0, 1.0448154998549655, 0.26120387496374137],
-    [0.8918058124456121, 1.0, 1.0448154998549655, 0.7836116248912242],
-    [0.8918058124456121, 1.0, 1.1530096874093534, 0.3693980625181293],
-    [0.8918058124456121, 1.0, 1.1530096874093534, 0.7836116248912242],
-    [
-      0.8918058124456121, 1.1530096874093534, 0.7387961250362586,
-      0.26120387496374137,
-    ],
-    [
-      0.8918058124456121, 1.1530096874093534, 0.7387961250362586,
-      0.4775922500725174,
-    ],
-    [
-      0.8918058124456121, 1.1530096874093534, 1.1530096874093534,
-      0.26120387496374137,
-    ],
-    [
-      0.8918058124456121, 1.1530096874093534, 1.1530096874093534,
-      0.8918058124456121,
-    ],
-    [
-      0.8918058124456121, 1.1530096874093534, 1.3693980625181292,
-      0.4775922500725174,
-    ],
-    [
-      0.8918058124456121, 1.1530096874093534, 1.3693980625181292,
-      0.8918058124456121,
-    ],
-    [
-      0.8918058124456121, 1.3060193748187068, 0.8469903125906466,
-      0.3693980625181293,
-    ],
-    [
-      0.8918058124456121, 1.3060193748187068, 0.8469903125906466,
-      0.4775922500725174,
-    ],
-    [
-      0.8918058124456121, 1.3060193748187068, 1.3693980625181292,
-      0.3693980625181293,
-    ],
-    [0.8918058124456121, 1.3060193748187068, 1.3693980625181292, 1.0],
-    [
-      0.8918058124456121, 1.3060193748187068, 1.4775922500725172,
-      0.4775922500725174,
-    ],
-    [0.8918058124456121, 1.3060193748187068, 1.4775922500725172, 1.0],
-    [
-      0.8918058124456121, 1.3693980625181292, 1.0448154998549655,
-      0.26120387496374137,
-    ],
-    [
-      0.8918058124456121, 1.3693980625181292, 1.0448154998549655,
-      0.7836116248912242,
-    ],
-    [
-      0.8918058124456121, 1.3693980625181292, 1.1530096874093534,
-      0.26120387496374137,
-    ],
-    [
-      0.8918058124456121, 1.3693980625181292, 1.1530096874093534,
-      0.8918058124456121,
-    ],
-    [
-      0.8918058124456121, 1.3693980625181292, 1.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.8918058124456121, 1.3693980625181292, 1.6754174373368365,
-      0.8918058124456121,
-    ],
-    [
-      0.8918058124456121, 1.5224077499274826, 1.1530096874093534,
-      0.3693980625181293,
-    ],
-    [
-      0.8918058124456121, 1.5224077499274826, 1.1530096874093534,
-      0.7836116248912242,
-    ],
-    [
-      0.8918058124456121, 1.5224077499274826, 1.3693980625181292,
-      0.3693980625181293,
-    ],
-    [0.8918058124456121, 1.5224077499274826, 1.3693980625181292, 1.0],
-    [
-      0.8918058124456121, 1.5224077499274826, 1.7836116248912242,
-      0.7836116248912242,
-    ],
-    [0.8918058124456121, 1.5224077499274826, 1.7836116248912242, 1.0],
-    [
-      0.8918058124456121, 1.6754174373368365, 1.3693980625181292,
-      0.4775922500725174,
-    ],
-    [
-      0.8918058124456121, 1.6754174373368365, 1.3693980625181292,
-      0.8918058124456121,
-    ],
-    [
-      0.8918058124456121, 1.6754174373368365, 1.4775922500725172,
-      0.4775922500725174,
-    ],
-    [0.8918058124456121, 1.6754174373368365, 1.4775922500725172, 1.0],
-    [
-      0.8918058124456121, 1.6754174373368365, 1.8918058124456123,
-      0.8918058124456121,
-    ],
-    [0.8918058124456121, 1.6754174373368365, 1.8918058124456123, 1.0],
-    [
-      0.8918058124456121, 1.8918058124456123, 1.6754174373368365,
-      0.7836116248912242,
-    ],
-    [
-      0.8918058124456121, 1.8918058124456123, 1.6754174373368365,
-      0.8918058124456121,
-    ],
-    [
-      0.8918058124456121, 1.8918058124456123, 1.7836116248912242,
-      0.7836116248912242,
-    ],
-    [0.8918058124456121, 1.8918058124456123, 1.7836116248912242, 1.0],
-    [
-      0.8918058124456121, 1.8918058124456123, 1.8918058124456123,
-      0.8918058124456121,
-    ],
-    [0.8918058124456121, 1.8918058124456123, 1.8918058124456123, 1.0],
-    [1.0, 1.1081941875543877, 0.9366213123005778, 0.4142135623730949],
-    [1.0, 1.1081941875543877, 0.9366213123005778, 0.5224077499274827],
-    [1.0, 1.1081941875543877, 1.0448154998549655, 0.4142135623730949],
-    [1.0, 1.1081941875543877, 1.0448154998549655, 0.6306019374818707],
-    [1.0, 1.1081941875543877, 1.1530096874093534, 0.5224077499274827],
-    [1.0, 1.1081941875543877, 1.1530096874093534, 0.6306019374818707],
-    [1.0, 1.2163883751087756, 0.9366213123005778, 0.4142135623730949],
-    [1.0, 1.2163883751087756, 0.9366213123005778, 0.5224077499274827],
-    [1.0, 1.2163883751087756, 1.1978251872643193, 0.4142135623730949],
-    [1.0, 1.2163883751087756, 1.1978251872643193, 0.7836116248912242],
-    [1.0, 1.2163883751087756, 1.3060193748187068, 0.5224077499274827],
-    [1.0, 1.2163883751087756, 1.3060193748187068, 0.7836116248912242],
-    [1.0, 1.3693980625181292, 1.0448154998549655, 0.4142135623730949],
-    [1.0, 1.3693980625181292, 1.0448154998549655, 0.6306019374818707],
-    [1.0, 1.3693980625181292, 1.3060193748187068, 0.4142135623730949],
-    [1.0, 1.3693980625181292, 1.3060193748187068, 0.8918058124456121],
-    [1.0, 1.3693980625181292, 1.5224077499274826, 0.6306019374818707],
-    [1.0, 1.3693980625181292, 1.5224077499274826, 0.8918058124456121],
-    [1.0, 1.4775922500725172, 1.1978251872643193, 0.4142135623730949],
-    [1.0, 1.4775922500725172, 1.1978251872643193, 0.7836116248912242],
-    [1.0, 1.4775922500725172, 1.3060193748187068, 0.4142135623730949],
-    [1.0, 1.4775922500725172, 1.3060193748187068, 0.8918058124456121],
-    [1.0, 1.4775922500725172, 1.6754174373368365, 0.7836116248912242],
-    [1.0, 1.4775922500725172, 1.6754174373368365, 0.8918058124456121],
-    [1.0, 1.5224077499274826, 1.1530096874093534, 0.5224077499274827],
-    [1.0, 1.5224077499274826, 1.1530096874093534, 0.6306019374818707],
-    [1.0, 1.5224077499274826, 1.5224077499274826, 0.5224077499274827],
-    [1.0, 1.5224077499274826, 1.5224077499274826, 1.0],
-    [1.0, 1.5224077499274826, 1.6306019374818708, 0.6306019374818707],
-    [1.0, 1.5224077499274826, 1.6306019374818708, 1.0],
-    [1.0, 1.6306019374818708, 1.3060193748187068, 0.5224077499274827],
-    [1.0, 1.6306019374818708, 1.3060193748187068, 0.7836116248912242],
-    [1.0, 1.6306019374818708, 1.5224077499274826, 0.5224077499274827],
-    [1.0, 1.6306019374818708, 1.5224077499274826, 1.0],
-    [1.0, 1.6306019374818708, 1.7836116248912242, 0.7836116248912242],
-    [1.0, 1.6306019374818708, 1.7836116248912242, 1.0],
-    [1.0, 1.7836116248912242, 1.5224077499274826, 0.6306019374818707],
-    [1.0, 1.7836116248912242, 1.5224077499274826, 0.8918058124456121],
-    [1.0, 1.7836116248912242, 1.6306019374818708, 0.6306019374818707],
-    [1.0, 1.7836116248912242, 1.6306019374818708, 1.0],
-    [1.0, 1.7836116248912242, 1.8918058124456123, 0.8918058124456121],
-    [1.0, 1.7836116248912242, 1.8918058124456123, 1.0],
-    [1.0, 1.8918058124456123, 1.6754174373368365, 0.7836116248912242],
-    [1.0, 1.8918058124456123, 1.6754174373368365, 0.8918058124456121],
-    [1.0, 1.8918058124456123, 1.7836116248912242, 0.7836116248912242],
-    [1.0, 1.8918058124456123, 1.7836116248912242, 1.0],
-    [1.0, 1.8918058124456123, 1.8918058124456123, 0.8918058124456121],
-    [1.0, 1.8918058124456123, 1.8918058124456123, 1.0],
-  ],
-  faces: [
-    [189, 237, 381, 285],
-    [188, 236, 380, 284],
-    [142, 143, 191, 287, 286, 190],
-    [237, 239, 383, 479, 477, 381],
-    [236, 238, 382, 478, 476, 380],
-    [139, 141, 189, 285, 283, 187],
-    [138, 140, 188, 284, 282, 186],
-    [234, 235, 379, 475, 474, 378],
-    [93, 95, 143, 191, 239, 237, 189, 141],
-    [92, 94, 142, 190, 238, 236, 188, 140],
-    [286, 287, 383, 479, 575, 574, 478, 382],
-    [90, 91, 139, 187, 235, 234, 186, 138],
-    [283, 285, 381, 477, 573, 571, 475, 379],
-    [282, 284, 380, 476, 572, 570, 474, 378],
-    [90, 91, 93, 95, 94, 92],
-    [94, 95, 143, 142],
-    [191, 239, 383, 287],
-    [190, 238, 382, 286],
-    [91, 93, 141, 139],
-    [90, 92, 140, 138],
-    [477, 479, 575, 573],
-    [476, 478, 574, 572],
-    [187, 235, 379, 283],
-    [186, 234, 378, 282],
-    [474, 475, 571, 570],
-    [570, 571, 573, 575, 574, 572],
-    [137, 143, 191, 185],
-    [185, 191, 287, 281],
-    [136, 142, 190, 184],
-    [184, 190, 286, 280],
-    [136, 137, 143, 142],
-    [280, 281, 287, 286],
-    [136, 137, 185, 281, 280, 184],
-    [46, 47, 95, 94],
-    [45, 47, 95, 93],
-    [44, 46, 94, 92],
-    [43, 45, 93, 91],
-    [42, 44, 92, 90],
-    [42, 43, 91, 90],
-    [42, 43, 45, 47, 46, 44],
-    [383, 431, 569, 479],
-    [237, 333, 429, 381],
-    [239, 335, 431, 383],
-    [477, 479, 569, 567],
-    [237, 239, 335, 333],
-    [381, 429, 567, 477],
-    [333, 335, 431, 569, 567, 429],
-    [382, 430, 568, 478],
-    [236, 332, 428, 380],
-    [238, 334, 430, 382],
-    [476, 478, 568, 566],
-    [236, 238, 334, 332],
-    [380, 428, 566, 476],
-    [332, 334, 430, 568, 566, 428],
-    [133, 139, 187, 181],
-    [183, 189, 285, 279],
-    [133, 135, 141, 139],
-    [181, 187, 283, 277],
-    [135, 141, 189, 183],
-    [277, 279, 285, 283],
-    [133, 135, 183, 279, 277, 181],
-    [132, 138, 186, 180],
-    [182, 188, 284, 278],
-    [132, 134, 140, 138],
-    [180, 186, 282, 276],
-    [134, 140, 188, 182],
-    [276, 278, 284, 282],
-    [132, 134, 182, 278, 276, 180],
-    [574, 575, 671, 670],
-    [573, 575, 671, 669],
-    [572, 574, 670, 668],
-    [571, 573, 669, 667],
-    [570, 572, 668, 666],
-    [570, 571, 667, 666],
-    [666, 667, 669, 671, 670, 668],
-    [235, 331, 427, 379],
-    [379, 427, 565, 475],
-    [234, 330, 426, 378],
-    [378, 426, 564, 474],
-    [474, 475, 565, 564],
-    [234, 235, 331, 330],
-    [330, 331, 427, 565, 564, 426],
-    [41, 47, 95, 143, 137, 89],
-    [40, 46, 94, 142, 136, 88],
-    [88, 89, 137, 136],
-    [40, 41, 47, 46],
-    [40, 41, 89, 88],
-    [281, 287, 383, 431, 425, 377],
-    [185, 191, 239, 335, 329, 233],
-    [329, 335, 431, 425],
-    [185, 233, 377, 281],
-    [233, 329, 425, 377],
-    [280, 286, 382, 430, 424, 376],
-    [184, 190, 238, 334, 328, 232],
-    [328, 334, 430, 424],
-    [184, 232, 376, 280],
-    [232, 328, 424, 376],
-    [37, 43, 91, 139, 133, 85],
-    [39, 45, 93, 141, 135, 87],
-    [85, 87, 135, 133],
-    [37, 39, 45, 43],
-    [37, 39, 87, 85],
-    [231, 327, 423, 375],
-    [327, 333, 429, 423],
-    [183, 231, 375, 279],
-    [183, 189, 237, 333, 327, 231],
-    [279, 285, 381, 429, 423, 375],
-    [36, 42, 90, 138, 132, 84],
-    [38, 44, 92, 140, 134, 86],
-    [84, 86, 134, 132],
-    [36, 38, 44, 42],
-    [36, 38, 86, 84],
-    [479, 569, 665, 719, 671, 575],
-    [477, 567, 663, 717, 669, 573],
-    [567, 569, 665, 663],
-    [669, 671, 719, 717],
-    [663, 665, 719, 717],
-    [230, 326, 422, 374],
-    [326, 332, 428, 422],
-    [182, 230, 374, 278],
-    [182, 188, 236, 332, 326, 230],
-    [278, 284, 380, 428, 422, 374],
-    [478, 568, 664, 718, 670, 574],
-    [476, 566, 662, 716, 668, 572],
-    [566, 568, 664, 662],
-    [668, 670, 718, 716],
-    [662, 664, 718, 716],
-    [181, 187, 235, 331, 325, 229],
-    [277, 283, 379, 427, 421, 373],
-    [181, 229, 373, 277],
-    [325, 331, 427, 421],
-    [229, 325, 421, 373],
-    [180, 186, 234, 330, 324, 228],
-    [276, 282, 378, 426, 420, 372],
-    [180, 228, 372, 276],
-    [324, 330, 426, 420],
-    [228, 324, 420, 372],
-    [475, 565, 661, 715, 667, 571],
-    [474, 564, 660, 714, 666, 570],
-    [564, 565, 661, 660],
-    [666, 667, 715, 714],
-    [660, 661, 715, 714],
-    [35, 41, 89, 83],
-    [83, 89, 137, 185, 233, 227, 179, 131],
-    [27, 29, 35, 41, 47, 45, 39, 33],
-    [225, 231, 327, 321],
-    [315, 317, 323, 329, 335, 333, 327, 321],
-    [81, 87, 135, 183, 231, 225, 177, 129],
-    [171, 177, 225, 321, 315, 219],
-    [227, 233, 329, 323],
-    [29, 35, 83, 131, 125, 71],
-    [33, 39, 87, 81],
-    [219, 221, 317, 315],
-    [123, 129, 177, 171],
-    [69, 71, 125, 173, 221, 219, 171, 123],
-    [125, 131, 179, 173],
-    [27, 29, 71, 69],
-    [173, 179, 227, 323, 317, 221],
-    [27, 33, 81, 129, 123, 69],
-    [34, 40, 88, 82],
-    [82, 88, 136, 184, 232, 226, 178, 130],
-    [26, 28, 34, 40, 46, 44, 38, 32],
-    [224, 230, 326, 320],
-    [314, 316, 322, 328, 334, 332, 326, 320],
-    [80, 86, 134, 182, 230, 224, 176, 128],
-    [170, 176, 224, 320, 314, 218],
-    [226, 232, 328, 322],
-    [28, 34, 82, 130, 124, 70],
-    [32, 38, 86, 80],
-    [218, 220, 316, 314],
-    [122, 128, 176, 170],
-    [68, 70, 124, 172, 220, 218, 170, 122],
-    [124, 130, 178, 172],
-    [26, 28, 70, 68],
-    [172, 178, 226, 322, 316, 220],
-    [26, 32, 80, 128, 122, 68],
-    [425, 431, 569, 665, 767, 761, 659, 563],
-    [424, 430, 568, 664, 766, 760, 658, 562],
-    [670, 671, 719, 815, 911, 910, 814, 718],
-    [377, 425, 563, 473],
-    [376, 424, 562, 472],
-    [665, 719, 815, 767],
-    [664, 718, 814, 766],
-    [280, 281, 377, 473, 557, 556, 472, 376],
-    [659, 713, 809, 761],
-    [658, 712, 808, 760],
-    [473, 557, 653, 713, 659, 563],
-    [472, 556, 652, 712, 658, 562],
-    [761, 767, 815, 911, 905, 809],
-    [760, 766, 814, 910, 904, 808],
-    [556, 557, 653, 652],
-    [652, 653, 713, 809, 905, 904, 808, 712],
-    [904, 905, 911, 910],
-    [79, 85, 133, 181, 229, 223, 175, 127],
-    [78, 84, 132, 180, 228, 222, 174, 126],
-    [24, 25, 31, 37, 43, 42, 36, 30],
-    [31, 37, 85, 79],
-    [30, 36, 84, 78],
-    [223, 229, 325, 319],
-    [222, 228, 324, 318],
-    [312, 313, 319, 325, 331, 330, 324, 318],
-    [121, 127, 175, 169],
-    [120, 126, 174, 168],
-    [25, 31, 79, 127, 121, 67],
-    [24, 30, 78, 126, 120, 66],
-    [169, 175, 223, 319, 313, 217],
-    [168, 174, 222, 318, 312, 216],
-    [216, 217, 313, 312],
-    [66, 67, 121, 169, 217, 216, 168, 120],
-    [24, 25, 67, 66],
-    [661, 715, 811, 763],
-    [667, 669, 717, 813, 909, 907, 811, 715],
-    [421, 427, 565, 661, 763, 757, 655, 559],
-    [375, 423, 561, 471],
-    [423, 429, 567, 663, 765, 759, 657, 561],
-    [277, 279, 375, 471, 555, 553, 469, 373],
-    [471, 555, 651, 711, 657, 561],
-    [663, 717, 813, 765],
-    [757, 763, 811, 907, 901, 805],
-    [373, 421, 559, 469],
-    [657, 711, 807, 759],
-    [553, 555, 651, 649],
-    [649, 651, 711, 807, 903, 901, 805, 709],
-    [901, 903, 909, 907],
-    [655, 709, 805, 757],
-    [759, 765, 813, 909, 903, 807],
-    [469, 553, 649, 709, 655, 559],
-    [660, 714, 810, 762],
-    [666, 668, 716, 812, 908, 906, 810, 714],
-    [420, 426, 564, 660, 762, 756, 654, 558],
-    [374, 422, 560, 470],
-    [422, 428, 566, 662, 764, 758, 656, 560],
-    [276, 278, 374, 470, 554, 552, 468, 372],
-    [470, 554, 650, 710, 656, 560],
-    [662, 716, 812, 764],
-    [756, 762, 810, 906, 900, 804],
-    [372, 420, 558, 468],
-    [656, 710, 806, 758],
-    [552, 554, 650, 648],
-    [648, 650, 710, 806, 902, 900, 804, 708],
-    [900, 902, 908, 906],
-    [654, 708, 804, 756],
-    [758, 764, 812, 908, 902, 806],
-    [468, 552, 648, 708, 654, 558],
-    [22, 23, 35, 41, 40, 34],
-    [76, 77, 83, 89, 88, 82],
-    [23, 35, 83, 77],
-    [22, 34, 82, 76],
-    [22, 23, 77, 76],
-    [227, 233, 377, 473, 467, 371],
-    [323, 329, 425, 563, 551, 419],
-    [227, 323, 419, 371],
-    [467, 473, 563, 551],
-    [371, 419, 551, 467],
-    [226, 232, 376, 472, 466, 370],
-    [322, 328, 424, 562, 550, 418],
-    [226, 322, 418, 370],
-    [466, 472, 562, 550],
-    [370, 418, 550, 466],
-    [19, 21, 33, 39, 37, 31],
-    [73, 75, 81, 87, 85, 79],
-    [21, 33, 81, 75],
-    [19, 31, 79, 73],
-    [19, 21, 75, 73],
-    [321, 327, 423, 561, 549, 417],
-    [225, 231, 375, 471, 465, 369],
-    [369, 417, 549, 465],
-    [225, 321, 417, 369],
-    [465, 471, 561, 549],
-    [18, 20, 32, 38, 36, 30],
-    [72, 74, 80, 86, 84, 78],
-    [20, 32, 80, 74],
-    [18, 30, 78, 72],
-    [18, 20, 74, 72],
-    [717, 719, 815, 959, 957, 813],
-    [663, 665, 767, 863, 861, 765],
-    [765, 813, 957, 861],
-    [767, 815, 959, 863],
-    [861, 863, 959, 957],
-    [320, 326, 422, 560, 548, 416],
-    [224, 230, 374, 470, 464, 368],
-    [368, 416, 548, 464],
-    [224, 320, 416, 368],
-    [464, 470, 560, 548],
-    [716, 718, 814, 958, 956, 812],
-    [662, 664, 766, 862, 860, 764],
-    [764, 812, 956, 860],
-    [766, 814, 958, 862],
-    [860, 862, 958, 956],
-    [319, 325, 421, 559, 547, 415],
-    [223, 229, 373, 469, 463, 367],
-    [463, 469, 559, 547],
-    [223, 319, 415, 367],
-    [367, 415, 547, 463],
-    [318, 324, 420, 558, 546, 414],
-    [222, 228, 372, 468, 462, 366],
-    [462, 468, 558, 546],
-    [222, 318, 414, 366],
-    [366, 414, 546, 462],
-    [714, 715, 811, 955, 954, 810],
-    [660, 661, 763, 859, 858, 762],
-    [763, 811, 955, 859],
-    [762, 810, 954, 858],
-    [858, 859, 955, 954],
-    [179, 227, 371, 275],
-    [178, 226, 370, 274],
-    [77, 83, 131, 119],
-    [76, 82, 130, 118],
-    [467, 473, 557, 545],
-    [466, 472, 556, 544],
-    [119, 131, 179, 275, 263, 167],
-    [118, 130, 178, 274, 262, 166],
-    [263, 275, 371, 467, 545, 539, 461, 359],
-    [262, 274, 370, 466, 544, 538, 460, 358],
-    [167, 215, 359, 263],
-    [166, 214, 358, 262],
-    [76, 77, 119, 167, 215, 214, 166, 118],
-    [460, 461, 539, 538],
-    [538, 539, 545, 557, 556, 544],
-    [214, 215, 359, 461, 460, 358],
-    [15, 21, 33, 27],
-    [14, 20, 32, 26],
-    [17, 23, 35, 29],
-    [16, 22, 34, 28],
-    [13, 19, 31, 25],
-    [12, 18, 30, 24],
-    [9, 11, 17, 29, 27, 15],
-    [8, 10, 16, 28, 26, 14],
-    [6, 7, 13, 25, 24, 12],
-    [4, 5, 11, 17, 23, 22, 16, 10],
-    [1, 3, 9, 15, 21, 19, 13, 7],
-    [0, 2, 8, 14, 20, 18, 12, 6],
-    [3, 5, 11, 9],
-    [2, 4, 10, 8],
-    [0, 1, 3, 5, 4, 2],
-    [0, 1, 7, 6],
-    [551, 563, 659, 647],
-    [761, 767, 863, 857],
-    [317, 323, 419, 413],
-    [647, 659, 761, 857, 851, 755],
-    [759, 765, 861, 855],
-    [315, 321, 417, 411],
-    [549, 561, 657, 645],
-    [411, 417, 549, 645, 753, 747, 631, 535],
-    [413, 419, 551, 647, 755, 749, 633, 537],
-    [843, 845, 851, 857, 863, 861, 855, 849],
-    [749, 755, 851, 845],
-    [315, 317, 413, 537, 535, 411],
-    [535, 537, 633, 631],
-    [747, 753, 849, 843],
-    [645, 657, 759, 855, 849, 753],
-    [631, 633, 749, 845, 843, 747],
-    [550, 562, 658, 646],
-    [760, 766, 862, 856],
-    [316, 322, 418, 412],
-    [646, 658, 760, 856, 850, 754],
-    [758, 764, 860, 854],
-    [314, 320, 416, 410],
-    [548, 560, 656, 644],
-    [410, 416, 548, 644, 752, 746, 630, 534],
-    [412, 418, 550, 646, 754, 748, 632, 536],
-    [842, 844, 850, 856, 862, 860, 854, 848],
-    [748, 754, 850, 844],
-    [314, 316, 412, 536, 534, 410],
-    [534, 536, 632, 630],
-    [746, 752, 848, 842],
-    [644, 656, 758, 854, 848, 752],
-    [630, 632, 748, 844, 842, 746],
-    [73, 79, 127, 115],
-    [175, 223, 367, 271],
-    [75, 81, 129, 117],
-    [115, 127, 175, 271, 259, 163],
-    [463, 469, 553, 541],
-    [177, 225, 369, 273],
-    [465, 471, 555, 543],
-    [261, 273, 369, 465, 543, 533, 455, 357],
-    [73, 75, 117, 165, 213, 211, 163, 115],
-    [259, 271, 367, 463, 541, 531, 453, 355],
-    [163, 211, 355, 259],
-    [117, 129, 177, 273, 261, 165],
-    [165, 213, 357, 261],
-    [453, 455, 533, 531],
-    [531, 533, 543, 555, 553, 541],
-    [211, 213, 357, 455, 453, 355],
-    [72, 78, 126, 114],
-    [174, 222, 366, 270],
-    [74, 80, 128, 116],
-    [114, 126, 174, 270, 258, 162],
-    [462, 468, 552, 540],
-    [176, 224, 368, 272],
-    [464, 470, 554, 542],
-    [260, 272, 368, 464, 542, 532, 454, 356],
-    [72, 74, 116, 164, 212, 210, 162, 114],
-    [258, 270, 366, 462, 540, 530, 452, 354],
-    [162, 210, 354, 258],
-    [116, 128, 176, 272, 260, 164],
-    [164, 212, 356, 260],
-    [452, 454, 532, 530],
-    [530, 532, 542, 554, 552, 540],
-    [210, 212, 356, 454, 452, 354],
-    [813, 909, 1005, 957],
-    [812, 908, 1004, 956],
-    [815, 911, 1007, 959],
-    [814, 910, 1006, 958],
-    [811, 907, 1003, 955],
-    [810, 906, 1002, 954],
-    [910, 911, 1007, 1055, 1054, 1006],
-    [907, 909, 1005, 1053, 1051, 1003],
-    [906, 908, 1004, 1052, 1050, 1002],
-    [957, 959, 1007, 1055, 1103, 1101, 1053, 1005],
-    [956, 958, 1006, 1054, 1102, 1100, 1052, 1004],
-    [954, 955, 1003, 1051, 1099, 1098, 1050, 1002],
-    [1054, 1055, 1103, 1102],
-    [1051, 1053, 1101, 1099],
-    [1050, 1052, 1100, 1098],
-    [1098, 1099, 1101, 1103, 1102, 1100],
-    [547, 559, 655, 643],
-    [546, 558, 654, 642],
-    [313, 319, 415, 409],
-    [312, 318, 414, 408],
-    [757, 763, 859, 853],
-    [756, 762, 858, 852],
-    [643, 655, 757, 853, 847, 751],
-    [642, 654, 756, 852, 846, 750],
-    [409, 415, 547, 643, 751, 745, 625, 529],
-    [408, 414, 546, 642, 750, 744, 624, 528],
-    [745, 751, 847, 841],
-    [744, 750, 846, 840],
-    [840, 841, 847, 853, 859, 858, 852, 846],
-    [312, 313, 409, 529, 528, 408],
-    [528, 529, 625, 624],
-    [624, 625, 745, 841, 840, 744],
-    [65, 71, 125, 113],
-    [113, 119, 131, 125],
-    [17, 29, 71, 65],
-    [17, 23, 77, 119, 113, 65],
-    [221, 317, 413, 365],
-    [173, 179, 275, 269],
-    [173, 221, 365, 269],
-    [269, 275, 371, 419, 413, 365],
-    [64, 70, 124, 112],
-    [112, 118, 130, 124],
-    [16, 28, 70, 64],
-    [16, 22, 76, 118, 112, 64],
-    [545, 557, 653, 641],
-    [647, 659, 713, 707],
-    [641, 653, 713, 707],
-    [467, 545, 641, 707, 647, 551],
-    [220, 316, 412, 364],
-    [172, 178, 274, 268],
-    [172, 220, 364, 268],
-    [268, 274, 370, 418, 412, 364],
-    [544, 556, 652, 640],
-    [646, 658, 712, 706],
-    [640, 652, 712, 706],
-    [466, 544, 640, 706, 646, 550],
-    [111, 117, 129, 123],
-    [15, 27, 69, 63],
-    [63, 69, 123, 111],
-    [15, 21, 75, 117, 111, 63],
-    [267, 273, 369, 417, 411, 363],
-    [219, 315, 411, 363],
-    [171, 177, 273, 267],
-    [171, 219, 363, 267],
-    [110, 116, 128, 122],
-    [14, 26, 68, 62],
-    [62, 68, 122, 110],
-    [14, 20, 74, 116, 110, 62],
-    [905, 911, 1007, 1001],
-    [761, 809, 953, 857],
-    [809, 905, 1001, 953],
-    [857, 863, 959, 1007, 1001, 953],
-    [266, 272, 368, 416, 410, 362],
-    [218, 314, 410, 362],
-    [170, 176, 272, 266],
-    [170, 218, 362, 266],
-    [904, 910, 1006, 1000],
-    [760, 808, 952, 856],
-    [808, 904, 1000, 952],
-    [856, 862, 958, 1006, 1000, 952],
-    [13, 25, 67, 61],
-    [109, 115, 127, 121],
-    [61, 67, 121, 109],
-    [13, 19, 73, 115, 109, 61],
-    [465, 543, 639, 705, 645, 549],
-    [645, 657, 711, 705],
-    [543, 555, 651, 639],
-    [639, 651, 711, 705],
-    [12, 24, 66, 60],
-    [108, 114, 126, 120],
-    [60, 66, 120, 108],
-    [12, 18, 72, 114, 108, 60],
-    [759, 807, 951, 855],
-    [903, 909, 1005, 999],
-    [807, 903, 999, 951],
-    [855, 861, 957, 1005, 999, 951],
-    [464, 542, 638, 704, 644, 548],
-    [644, 656, 710, 704],
-    [542, 554, 650, 638],
-    [638, 650, 710, 704],
-    [758, 806, 950, 854],
-    [902, 908, 1004, 998],
-    [806, 902, 998, 950],
-    [854, 860, 956, 1004, 998, 950],
-    [217, 313, 409, 361],
-    [169, 175, 271, 265],
-    [169, 217, 361, 265],
-    [265, 271, 367, 415, 409, 361],
-    [541, 553, 649, 637],
-    [643, 655, 709, 703],
-    [637, 649, 709, 703],
-    [463, 541, 637, 703, 643, 547],
-    [216, 312, 408, 360],
-    [168, 174, 270, 264],
-    [168, 216, 360, 264],
-    [264, 270, 366, 414, 408, 360],
-    [805, 901, 997, 949],
-    [901, 907, 1003, 997],
-    [757, 805, 949, 853],
-    [853, 859, 955, 1003, 997, 949],
-    [540, 552, 648, 636],
-    [642, 654, 708, 702],
-    [636, 648, 708, 702],
-    [462, 540, 636, 702, 642, 546],
-    [804, 900, 996, 948],
-    [900, 906, 1002, 996],
-    [756, 804, 948, 852],
-    [852, 858, 954, 1002, 996, 948],
-    [113, 119, 167, 161],
-    [113, 125, 173, 269, 257, 161],
-    [257, 263, 275, 269],
-    [161, 167, 263, 257],
-    [112, 118, 166, 160],
-    [112, 124, 172, 268, 256, 160],
-    [256, 262, 274, 268],
-    [160, 166, 262, 256],
-    [539, 545, 641, 635],
-    [538, 544, 640, 634],
-    [538, 539, 635, 634],
-    [634, 635, 641, 653, 652, 640],
-    [11, 17, 65, 59],
-    [57, 59, 65, 71, 69, 63],
-    [9, 15, 63, 57],
-    [9, 11, 59, 57],
-    [363, 411, 535, 457],
-    [365, 413, 537, 459],
-    [457, 459, 537, 535],
-    [219, 221, 365, 459, 457, 363],
-    [10, 16, 64, 58],
-    [56, 58, 64, 70, 68, 62],
-    [8, 14, 62, 56],
-    [8, 10, 58, 56],
-    [707, 713, 809, 953, 947, 803],
-    [755, 803, 947, 851],
-    [647, 707, 803, 755],
-    [851, 857, 953, 947],
-    [362, 410, 534, 456],
-    [364, 412, 536, 458],
-    [456, 458, 536, 534],
-    [218, 220, 364, 458, 456, 362],
-    [706, 712, 808, 952, 946, 802],
-    [754, 802, 946, 850],
-    [646, 706, 802, 754],
-    [850, 856, 952, 946],
-    [255, 261, 273, 267],
-    [111, 117, 165, 159],
-    [159, 165, 261, 255],
-    [111, 123, 171, 267, 255, 159],
-    [254, 260, 272, 266],
-    [110, 116, 164, 158],
-    [158, 164, 260, 254],
-    [110, 122, 170, 266, 254, 158],
-    [1001, 1007, 1055, 1049],
-    [1000, 1006, 1054, 1048],
-    [904, 905, 1001, 1049, 1048, 1000],
-    [1048, 1049, 1055, 1054],
-    [7, 13, 61, 55],
-    [6, 12, 60, 54],
-    [54, 55, 61, 67, 66, 60],
-    [6, 7, 55, 54],
-    [645, 705, 801, 753],
-    [849, 855, 951, 945],
-    [753, 801, 945, 849],
-    [705, 711, 807, 951, 945, 801],
-    [644, 704, 800, 752],
-    [848, 854, 950, 944],
-    [752, 800, 944, 848],
-    [704, 710, 806, 950, 944, 800],
-    [109, 121, 169, 265, 253, 157],
-    [157, 163, 259, 253],
-    [109, 115, 163, 157],
-    [253, 259, 271, 265],
-    [533, 543, 639, 629],
-    [531, 541, 637, 627],
-    [531, 533, 629, 627],
-    [627, 629, 639, 651, 649, 637],
-    [108, 120, 168, 264, 252, 156],
-    [156, 162, 258, 252],
-    [108, 114, 162, 156],
-    [252, 258, 270, 264],
-    [997, 1003, 1051, 1045],
-    [901, 903, 999, 1047, 1045, 997],
-    [999, 1005, 1053, 1047],
-    [1045, 1047, 1053, 1051],
-    [532, 542, 638, 628],
-    [530, 540, 636, 626],
-    [530, 532, 628, 626],
-    [626, 628, 638, 650, 648, 636],
-    [996, 1002, 1050, 1044],
-    [900, 902, 998, 1046, 1044, 996],
-    [998, 1004, 1052, 1046],
-    [1044, 1046, 1052, 1050],
-    [361, 409, 529, 451],
-    [360, 408, 528, 450],
-    [450, 451, 529, 528],
-    [216, 217, 361, 451, 450, 360],
-    [847, 853, 949, 943],
-    [703, 709, 805, 949, 943, 799],
-    [643, 703, 799, 751],
-    [751, 799, 943, 847],
-    [846, 852, 948, 942],
-    [702, 708, 804, 948, 942, 798],
-    [642, 702, 798, 750],
-    [750, 798, 942, 846],
-    [215, 311, 407, 359],
-    [359, 407, 527, 461],
-    [214, 310, 406, 358],
-    [358, 406, 526, 460],
-    [214, 215, 311, 310],
-    [460, 461, 527, 526],
-    [310, 311, 407, 527, 526, 406],
-    [161, 167, 215, 311, 305, 209],
-    [257, 263, 359, 407, 401, 353],
-    [161, 209, 353, 257],
-    [305, 311, 407, 401],
-    [209, 305, 401, 353],
-    [160, 166, 214, 310, 304, 208],
-    [256, 262, 358, 406, 400, 352],
-    [160, 208, 352, 256],
-    [304, 310, 406, 400],
-    [208, 304, 400, 352],
-    [461, 527, 623, 701, 635, 539],
-    [460, 526, 622, 700, 634, 538],
-    [634, 635, 701, 700],
-    [526, 527, 623, 622],
-    [622, 623, 701, 700],
-    [59, 65, 113, 161, 209, 203, 155, 107],
-    [58, 64, 112, 160, 208, 202, 154, 106],
-    [4, 5, 53, 52],
-    [5, 11, 59, 107, 101, 53],
-    [4, 10, 58, 106, 100, 52],
-    [203, 209, 305, 299],
-    [202, 208, 304, 298],
-    [101, 107, 155, 149],
-    [100, 106, 154, 148],
-    [52, 53, 101, 149, 197, 196, 148, 100],
-    [149, 155, 203, 299, 293, 197],
-    [148, 154, 202, 298, 292, 196],
-    [292, 293, 299, 305, 311, 310, 304, 298],
-    [196, 197, 293, 292],
-    [635, 641, 707, 803, 899, 887, 791, 701],
-    [257, 269, 365, 459, 525, 515, 449, 353],
-    [459, 525, 621, 699, 633, 537],
-    [633, 699, 797, 749],
-    [749, 755, 803, 899, 893, 797],
-    [623, 701, 791, 743],
-    [401, 407, 527, 623, 743, 737, 605, 509],
-    [515, 525, 621, 611],
-    [737, 743, 791, 887, 881, 785],
-    [353, 401, 509, 449],
-    [881, 887, 899, 893],
-    [611, 621, 699, 797, 893, 881, 785, 689],
-    [605, 689, 785, 737],
-    [449, 509, 605, 689, 611, 515],
-    [634, 640, 706, 802, 898, 886, 790, 700],
-    [256, 268, 364, 458, 524, 514, 448, 352],
-    [458, 524, 620, 698, 632, 536],
-    [632, 698, 796, 748],
-    [748, 754, 802, 898, 892, 796],
-    [622, 700, 790, 742],
-    [400, 406, 526, 622, 742, 736, 604, 508],
-    [514, 524, 620, 610],
-    [736, 742, 790, 886, 880, 784],
-    [352, 400, 508, 448],
-    [880, 886, 898, 892],
-    [610, 620, 698, 796, 892, 880, 784, 688],
-    [604, 688, 784, 736],
-    [448, 508, 604, 688, 610, 514],
-    [57, 59, 107, 105],
-    [457, 459, 525, 523],
-    [255, 267, 363, 457, 523, 513, 447, 351],
-    [57, 63, 111, 159, 207, 201, 153, 105],
-    [159, 207, 351, 255],
-    [203, 209, 353, 449, 443, 347],
-    [105, 107, 155, 251, 249, 153],
-    [155, 203, 347, 251],
-    [443, 449, 515, 503],
-    [153, 201, 345, 249],
-    [249, 251, 347, 443, 503, 501, 441, 345],
-    [441, 447, 513, 501],
-    [501, 503, 515, 525, 523, 513],
-    [201, 207, 351, 447, 441, 345],
-    [56, 58, 106, 104],
-    [456, 458, 524, 522],
-    [254, 266, 362, 456, 522, 512, 446, 350],
-    [56, 62, 110, 158, 206, 200, 152, 104],
-    [158, 206, 350, 254],
-    [202, 208, 352, 448, 442, 346],
-    [104, 106, 154, 250, 248, 152],
-    [154, 202, 346, 250],
-    [442, 448, 514, 502],
-    [152, 200, 344, 248],
-    [248, 250, 346, 442, 502, 500, 440, 344],
-    [440, 446, 512, 500],
-    [500, 502, 514, 524, 522, 512],
-    [200, 206, 350, 446, 440, 344],
-    [803, 899, 995, 947],
-    [802, 898, 994, 946],
-    [947, 953, 1001, 1049, 1097, 1091, 1043, 995],
-    [946, 952, 1000, 1048, 1096, 1090, 1042, 994],
-    [1048, 1049, 1097, 1096],
-    [887, 899, 995, 1043, 1031, 983],
-    [886, 898, 994, 1042, 1030, 982],
-    [1084, 1085, 1091, 1097, 1096, 1090],
-    [791, 887, 983, 935],
-    [790, 886, 982, 934],
-    [1031, 1043, 1091, 1085],
-    [1030, 1042, 1090, 1084],
-    [934, 935, 983, 1031, 1085, 1084, 1030, 982],
-    [700, 701, 791, 935, 934, 790],
-    [3, 5, 53, 51],
-    [3, 9, 57, 105, 99, 51],
-    [51, 53, 101, 99],
-    [99, 101, 107, 105],
-    [457, 523, 619, 697, 631, 535],
-    [631, 633, 699, 697],
-    [523, 525, 621, 619],
-    [619, 621, 699, 697],
-    [2, 4, 52, 50],
-    [2, 8, 56, 104, 98, 50],
-    [50, 52, 100, 98],
-    [98, 100, 106, 104],
-    [749, 797, 941, 845],
-    [845, 851, 947, 995, 989, 941],
-    [893, 899, 995, 989],
-    [797, 893, 989, 941],
-    [456, 522, 618, 696, 630, 534],
-    [630, 632, 698, 696],
-    [522, 524, 620, 618],
-    [618, 620, 698, 696],
-    [748, 796, 940, 844],
-    [844, 850, 946, 994, 988, 940],
-    [892, 898, 994, 988],
-    [796, 892, 988, 940],
-    [1, 3, 51, 49],
-    [0, 2, 50, 48],
-    [0, 1, 49, 48],
-    [48, 49, 51, 53, 52, 50],
-    [631, 697, 795, 747],
-    [843, 845, 941, 939],
-    [747, 795, 939, 843],
-    [697, 699, 797, 941, 939, 795],
-    [630, 696, 794, 746],
-    [842, 844, 940, 938],
-    [746, 794, 938, 842],
-    [696, 698, 796, 940, 938, 794],
-    [159, 165, 213, 309, 303, 207],
-    [255, 261, 357, 405, 399, 351],
-    [213, 309, 405, 357],
-    [207, 303, 399, 351],
-    [303, 309, 405, 399],
-    [1, 7, 55, 103, 97, 49],
-    [55, 61, 109, 157, 205, 199, 151, 103],
-    [211, 213, 309, 307],
-    [157, 163, 211, 307, 301, 205],
-    [97, 103, 151, 145],
-    [49, 51, 99, 147, 195, 193, 145, 97],
-    [201, 207, 303, 297],
-    [145, 151, 199, 295, 289, 193],
-    [99, 105, 153, 147],
-    [199, 205, 301, 295],
-    [289, 291, 297, 303, 309, 307, 301, 295],
-    [193, 195, 291, 289],
-    [147, 153, 201, 297, 291, 195],
-    [747, 753, 801, 897, 891, 795],
-    [357, 405, 521, 455],
-    [629, 639, 705, 801, 897, 885, 789, 695],
-    [455, 521, 617, 695, 629, 533],
-    [513, 523, 619, 609],
-    [351, 399, 507, 447],
-    [879, 885, 897, 891],
-    [617, 695, 789, 741],
-    [609, 619, 697, 795, 891, 879, 783, 687],
-    [399, 405, 521, 617, 741, 735, 603, 507],
-    [447, 507, 603, 687, 609, 513],
-    [735, 741, 789, 885, 879, 783],
-    [603, 687, 783, 735],
-    [0, 6, 54, 102, 96, 48],
-    [54, 55, 103, 102],
-    [48, 49, 97, 96],
-    [96, 97, 103, 102],
-    [843, 849, 945, 993, 987, 939],
-    [801, 897, 993, 945],
-    [795, 891, 987, 939],
-    [891, 897, 993, 987],
-    [158, 164, 212, 308, 302, 206],
-    [54, 60, 108, 156, 204, 198, 150, 102],
-    [210, 212, 308, 306],
-    [156, 162, 210, 306, 300, 204],
-    [96, 102, 150, 144],
-    [48, 50, 98, 146, 194, 192, 144, 96],
-    [200, 206, 302, 296],
-    [144, 150, 198, 294, 288, 192],
-    [98, 104, 152, 146],
-    [198, 204, 300, 294],
-    [288, 290, 296, 302, 308, 306, 300, 294],
-    [192, 194, 290, 288],
-    [146, 152, 200, 296, 290, 194],
-    [1049, 1055, 1103, 1151, 1145, 1097],
-    [1101, 1103, 1151, 1149],
-    [1047, 1053, 1101, 1149, 1143, 1095],
-    [945, 951, 999, 1047, 1095, 1089, 1041, 993],
-    [1091, 1097, 1145, 1139],
-    [1131, 1133, 1139, 1145, 1151, 1149, 1143, 1137],
-    [987, 993, 1041, 1035],
-    [1037, 1043, 1091, 1139, 1133, 1079],
-    [989, 995, 1043, 1037],
-    [1089, 1095, 1143, 1137],
-    [939, 941, 989, 1037, 1079, 1077, 1035, 987],
-    [1077, 1079, 1133, 1131],
-    [1035, 1041, 1089, 1137, 1131, 1077],
-    [254, 260, 356, 404, 398, 350],
-    [212, 308, 404, 356],
-    [206, 302, 398, 350],
-    [302, 308, 404, 398],
-    [1048, 1054, 1102, 1150, 1144, 1096],
-    [1102, 1103, 1151, 1150],
-    [1144, 1145, 1151, 1150],
-    [1096, 1097, 1145, 1144],
-    [746, 752, 800, 896, 890, 794],
-    [356, 404, 520, 454],
-    [628, 638, 704, 800, 896, 884, 788, 694],
-    [454, 520, 616, 694, 628, 532],
-    [512, 522, 618, 608],
-    [350, 398, 506, 446],
-    [878, 884, 896, 890],
-    [616, 694, 788, 740],
-    [608, 618, 696, 794, 890, 878, 782, 686],
-    [398, 404, 520, 616, 740, 734, 602, 506],
-    [446, 506, 602, 686, 608, 512],
-    [734, 740, 788, 884, 878, 782],
-    [602, 686, 782, 734],
-    [842, 848, 944, 992, 986, 938],
-    [1100, 1102, 1150, 1148],
-    [1046, 1052, 1100, 1148, 1142, 1094],
-    [944, 950, 998, 1046, 1094, 1088, 1040, 992],
-    [1090, 1096, 1144, 1138],
-    [1130, 1132, 1138, 1144, 1150, 1148, 1142, 1136],
-    [986, 992, 1040, 1034],
-    [1036, 1042, 1090, 1138, 1132, 1078],
-    [988, 994, 1042, 1036],
-    [1088, 1094, 1142, 1136],
-    [938, 940, 988, 1036, 1078, 1076, 1034, 986],
-    [1076, 1078, 1132, 1130],
-    [1034, 1040, 1088, 1136, 1130, 1076],
-    [800, 896, 992, 944],
-    [794, 890, 986, 938],
-    [890, 896, 992, 986],
-    [211, 307, 403, 355],
-    [355, 403, 519, 453],
-    [453, 455, 521, 519],
-    [307, 309, 405, 521, 519, 403],
-    [210, 306, 402, 354],
-    [354, 402, 518, 452],
-    [452, 454, 520, 518],
-    [306, 308, 404, 520, 518, 402],
-    [1099, 1101, 1149, 1147],
-    [1098, 1100, 1148, 1146],
-    [1098, 1099, 1147, 1146],
-    [1146, 1147, 1149, 1151, 1150, 1148],
-    [157, 205, 349, 253],
-    [253, 259, 355, 403, 397, 349],
-    [205, 301, 397, 349],
-    [301, 307, 403, 397],
-    [453, 519, 615, 693, 627, 531],
-    [627, 629, 695, 693],
-    [519, 521, 617, 615],
-    [615, 617, 695, 693],
-    [156, 204, 348, 252],
-    [252, 258, 354, 402, 396, 348],
-    [204, 300, 396, 348],
-    [300, 306, 402, 396],
-    [1045, 1047, 1095, 1093],
-    [1045, 1051, 1099, 1147, 1141, 1093],
-    [1141, 1143, 1149, 1147],
-    [1093, 1095, 1143, 1141],
-    [452, 518, 614, 692, 626, 530],
-    [626, 628, 694, 692],
-    [518, 520, 616, 614],
-    [614, 616, 694, 692],
-    [1044, 1046, 1094, 1092],
-    [1044, 1050, 1098, 1146, 1140, 1092],
-    [1140, 1142, 1148, 1146],
-    [1092, 1094, 1142, 1140],
-    [253, 265, 361, 451, 517, 511, 445, 349],
-    [252, 264, 360, 450, 516, 510, 444, 348],
-    [450, 451, 517, 516],
-    [199, 205, 349, 445, 439, 343],
-    [198, 204, 348, 444, 438, 342],
-    [102, 103, 151, 247, 246, 150],
-    [151, 199, 343, 247],
-    [150, 198, 342, 246],
-    [439, 445, 511, 499],
-    [438, 444, 510, 498],
-    [246, 247, 343, 439, 499, 498, 438, 342],
-    [498, 499, 511, 517, 516, 510],
-    [943, 949, 997, 1045, 1093, 1087, 1039, 991],
-    [799, 895, 991, 943],
-    [627, 637, 703, 799, 895, 883, 787, 693],
-    [1081, 1083, 1089, 1095, 1093, 1087],
-    [883, 895, 991, 1039, 1027, 979],
-    [1027, 1039, 1087, 1081],
-    [1029, 1041, 1089, 1083],
-    [787, 883, 979, 931],
-    [931, 933, 981, 1029, 1083, 1081, 1027, 979],
-    [789, 885, 981, 933],
-    [885, 897, 993, 1041, 1029, 981],
-    [693, 695, 789, 933, 931, 787],
-    [942, 948, 996, 1044, 1092, 1086, 1038, 990],
-    [798, 894, 990, 942],
-    [626, 636, 702, 798, 894, 882, 786, 692],
-    [1080, 1082, 1088, 1094, 1092, 1086],
-    [882, 894, 990, 1038, 1026, 978],
-    [1026, 1038, 1086, 1080],
-    [1028, 1040, 1088, 1082],
-    [786, 882, 978, 930],
-    [930, 932, 980, 1028, 1082, 1080, 1026, 978],
-    [788, 884, 980, 932],
-    [884, 896, 992, 1040, 1028, 980],
-    [692, 694, 788, 932, 930, 786],
-    [451, 517, 613, 691, 625, 529],
-    [625, 691, 793, 745],
-    [745, 751, 799, 895, 889, 793],
-    [511, 517, 613, 607],
-    [607, 613, 691, 793, 889, 877, 781, 685],
-    [615, 693, 787, 739],
-    [445, 505, 601, 685, 607, 511],
-    [349, 397, 505, 445],
-    [877, 883, 895, 889],
-    [397, 403, 519, 615, 739, 733, 601, 505],
-    [601, 685, 781, 733],
-    [733, 739, 787, 883, 877, 781],
-    [450, 516, 612, 690, 624, 528],
-    [624, 690, 792, 744],
-    [744, 750, 798, 894, 888, 792],
-    [510, 516, 612, 606],
-    [606, 612, 690, 792, 888, 876, 780, 684],
-    [614, 692, 786, 738],
-    [444, 504, 600, 684, 606, 510],
-    [348, 396, 504, 444],
-    [876, 882, 894, 888],
-    [396, 402, 518, 614, 738, 732, 600, 504],
-    [600, 684, 780, 732],
-    [732, 738, 786, 882, 876, 780],
-    [841, 847, 943, 991, 985, 937],
-    [840, 846, 942, 990, 984, 936],
-    [840, 841, 937, 936],
-    [1087, 1093, 1141, 1135],
-    [1086, 1092, 1140, 1134],
-    [985, 991, 1039, 1033],
-    [984, 990, 1038, 1032],
-    [1128, 1129, 1135, 1141, 1147, 1146, 1140, 1134],
-    [1033, 1039, 1087, 1135, 1129, 1075],
-    [1032, 1038, 1086, 1134, 1128, 1074],
-    [936, 937, 985, 1033, 1075, 1074, 1032, 984],
-    [1074, 1075, 1129, 1128],
-    [624, 625, 691, 690],
-    [516, 517, 613, 612],
-    [612, 613, 691, 690],
-    [745, 793, 937, 841],
-    [793, 889, 985, 937],
-    [889, 895, 991, 985],
-    [744, 792, 936, 840],
-    [792, 888, 984, 936],
-    [888, 894, 990, 984],
-    [690, 691, 793, 937, 936, 792],
-    [299, 305, 401, 509, 497, 395],
-    [443, 449, 509, 497],
-    [203, 299, 395, 347],
-    [347, 395, 497, 443],
-    [298, 304, 400, 508, 496, 394],
-    [442, 448, 508, 496],
-    [202, 298, 394, 346],
-    [346, 394, 496, 442],
-    [743, 791, 935, 839],
-    [742, 790, 934, 838],
-    [838, 839, 935, 934],
-    [622, 623, 743, 839, 838, 742],
-    [99, 101, 149, 245, 243, 147],
-    [147, 153, 249, 243],
-    [149, 155, 251, 245],
-    [243, 245, 251, 249],
-    [503, 515, 611, 599],
-    [501, 503, 599, 597],
-    [501, 513, 609, 597],
-    [597, 599, 611, 621, 619, 609],
-    [98, 100, 148, 244, 242, 146],
-    [146, 152, 248, 242],
-    [148, 154, 250, 244],
-    [242, 244, 250, 248],
-    [881, 893, 989, 1037, 1025, 977],
-    [881, 887, 983, 977],
-    [1025, 1031, 1043, 1037],
-    [977, 983, 1031, 1025],
-    [502, 514, 610, 598],
-    [500, 502, 598, 596],
-    [500, 512, 608, 596],
-    [596, 598, 610, 620, 618, 608],
-    [880, 892, 988, 1036, 1024, 976],
-    [880, 886, 982, 976],
-    [1024, 1030, 1042, 1036],
-    [976, 982, 1030, 1024],
-    [201, 297, 393, 345],
-    [345, 393, 495, 441],
-    [441, 447, 507, 495],
-    [297, 303, 399, 507, 495, 393],
-    [200, 296, 392, 344],
-    [344, 392, 494, 440],
-    [440, 446, 506, 494],
-    [296, 302, 398, 506, 494, 392],
-    [1085, 1091, 1139, 1127],
-    [1084, 1090, 1138, 1126],
-    [1126, 1127, 1139, 1145, 1144, 1138],
-    [1084, 1085, 1127, 1126],
-    [145, 151, 247, 241],
-    [144, 150, 246, 240],
-    [96, 97, 145, 241, 240, 144],
-    [240, 241, 247, 246],
-    [1023, 1029, 1041, 1035],
-    [975, 981, 1029, 1023],
-    [879, 885, 981, 975],
-    [879, 891, 987, 1035, 1023, 975],
-    [1022, 1028, 1040, 1034],
-    [974, 980, 1028, 1022],
-    [878, 884, 980, 974],
-    [878, 890, 986, 1034, 1022, 974],
-    [295, 301, 397, 505, 493, 391],
-    [199, 295, 391, 343],
-    [439, 445, 505, 493],
-    [343, 391, 493, 439],
-    [739, 787, 931, 835],
-    [835, 837, 933, 931],
-    [741, 789, 933, 837],
-    [615, 617, 741, 837, 835, 739],
-    [294, 300, 396, 504, 492, 390],
-    [198, 294, 390, 342],
-    [438, 444, 504, 492],
-    [342, 390, 492, 438],
-    [1123, 1125, 1137, 1143, 1141, 1135],
-    [1083, 1089, 1137, 1125],
-    [1081, 1087, 1135, 1123],
-    [1081, 1083, 1125, 1123],
-    [738, 786, 930, 834],
-    [834, 836, 932, 930],
-    [740, 788, 932, 836],
-    [614, 616, 740, 836, 834, 738],
-    [1122, 1124, 1136, 1142, 1140, 1134],
-    [1082, 1088, 1136, 1124],
-    [1080, 1086, 1134, 1122],
-    [1080, 1082, 1124, 1122],
-    [499, 511, 607, 595],
-    [498, 510, 606, 594],
-    [498, 499, 595, 594],
-    [594, 595, 607, 613, 612, 606],
-    [877, 889, 985, 1033, 1021, 973],
-    [877, 883, 979, 973],
-    [1021, 1027, 1039, 1033],
-    [973, 979, 1027, 1021],
-    [876, 888, 984, 1032, 1020, 972],
-    [876, 882, 978, 972],
-    [1020, 1026, 1038, 1032],
-    [972, 978, 1026, 1020],
-    [293, 299, 395, 389],
-    [149, 197, 341, 245],
-    [197, 293, 389, 341],
-    [245, 251, 347, 395, 389, 341],
-    [497, 509, 605, 593],
-    [599, 611, 689, 683],
-    [593, 605, 689, 683],
-    [443, 497, 593, 683, 599, 503],
-    [292, 298, 394, 388],
-    [148, 196, 340, 244],
-    [196, 292, 388, 340],
-    [244, 250, 346, 394, 388, 340],
-    [785, 881, 977, 929],
-    [737, 743, 839, 833],
-    [833, 839, 935, 983, 977, 929],
-    [737, 785, 929, 833],
-    [496, 508, 604, 592],
-    [598, 610, 688, 682],
-    [592, 604, 688, 682],
-    [442, 496, 592, 682, 598, 502],
-    [784, 880, 976, 928],
-    [736, 742, 838, 832],
-    [832, 838, 934, 982, 976, 928],
-    [736, 784, 928, 832],
-    [147, 195, 339, 243],
-    [291, 297, 393, 387],
-    [195, 291, 387, 339],
-    [243, 249, 345, 393, 387, 339],
-    [441, 495, 591, 681, 597, 501],
-    [597, 609, 687, 681],
-    [495, 507, 603, 591],
-    [591, 603, 687, 681],
-    [146, 194, 338, 242],
-    [290, 296, 392, 386],
-    [194, 290, 386, 338],
-    [242, 248, 344, 392, 386, 338],
-    [1025, 1037, 1079, 1073],
-    [1121, 1127, 1139, 1133],
-    [1025, 1031, 1085, 1127, 1121, 1073],
-    [1073, 1079, 1133, 1121],
-    [440, 494, 590, 680, 596, 500],
-    [596, 608, 686, 680],
-    [494, 506, 602, 590],
-    [590, 602, 686, 680],
-    [1024, 1036, 1078, 1072],
-    [1120, 1126, 1138, 1132],
-    [1024, 1030, 1084, 1126, 1120, 1072],
-    [1072, 1078, 1132, 1120],
-    [289, 295, 391, 385],
-    [145, 193, 337, 241],
-    [241, 247, 343, 391, 385, 337],
-    [193, 289, 385, 337],
-    [831, 837, 933, 981, 975, 927],
-    [783, 879, 975, 927],
-    [735, 741, 837, 831],
-    [735, 783, 927, 831],
-    [288, 294, 390, 384],
-    [144, 192, 336, 240],
-    [240, 246, 342, 390, 384, 336],
-    [192, 288, 384, 336],
-    [1119, 1125, 1137, 1131],
-    [1023, 1035, 1077, 1071],
-    [1071, 1077, 1131, 1119],
-    [1023, 1029, 1083, 1125, 1119, 1071],
-    [830, 836, 932, 980, 974, 926],
-    [782, 878, 974, 926],
-    [734, 740, 836, 830],
-    [734, 782, 926, 830],
-    [1118, 1124, 1136, 1130],
-    [1022, 1034, 1076, 1070],
-    [1070, 1076, 1130, 1118],
-    [1022, 1028, 1082, 1124, 1118, 1070],
-    [493, 505, 601, 589],
-    [595, 607, 685, 679],
-    [439, 493, 589, 679, 595, 499],
-    [589, 601, 685, 679],
-    [781, 877, 973, 925],
-    [733, 739, 835, 829],
-    [733, 781, 925, 829],
-    [829, 835, 931, 979, 973, 925],
-    [492, 504, 600, 588],
-    [594, 606, 684, 678],
-    [438, 492, 588, 678, 594, 498],
-    [588, 600, 684, 678],
-    [1117, 1123, 1135, 1129],
-    [1021, 1033, 1075, 1069],
-    [1069, 1075, 1129, 1117],
-    [1021, 1027, 1081, 1123, 1117, 1069],
-    [780, 876, 972, 924],
-    [732, 738, 834, 828],
-    [732, 780, 924, 828],
-    [828, 834, 930, 978, 972, 924],
-    [1116, 1122, 1134, 1128],
-    [1020, 1032, 1074, 1068],
-    [1068, 1074, 1128, 1116],
-    [1020, 1026, 1080, 1122, 1116, 1068],
-    [593, 605, 737, 833, 827, 731],
-    [592, 604, 736, 832, 826, 730],
-    [292, 293, 389, 491, 490, 388],
-    [389, 395, 497, 593, 731, 725, 587, 491],
-    [388, 394, 496, 592, 730, 724, 586, 490],
-    [490, 491, 587, 586],
-    [586, 587, 725, 821, 820, 724],
-    [725, 731, 827, 821],
-    [724, 730, 826, 820],
-    [820, 821, 827, 833, 839, 838, 832, 826],
-    [196, 197, 341, 437, 436, 340],
-    [193, 195, 339, 435, 433, 337],
-    [192, 194, 338, 434, 432, 336],
-    [243, 245, 341, 437, 485, 483, 435, 339],
-    [242, 244, 340, 436, 484, 482, 434, 338],
-    [240, 241, 337, 433, 481, 480, 432, 336],
-    [436, 437, 485, 484],
-    [433, 435, 483, 481],
-    [432, 434, 482, 480],
-    [480, 481, 483, 485, 484, 482],
-    [683, 689, 785, 929, 923, 779],
-    [1065, 1067, 1073, 1079, 1077, 1071],
-    [923, 929, 977, 1025, 1073, 1067, 1019, 971],
-    [779, 875, 971, 923],
-    [1017, 1019, 1067, 1065],
-    [681, 687, 783, 927, 921, 777],
-    [873, 875, 971, 1019, 1017, 969],
-    [597, 599, 683, 779, 875, 873, 777, 681],
-    [921, 927, 975, 1023, 1071, 1065, 1017, 969],
-    [777, 873, 969, 921],
-    [682, 688, 784, 928, 922, 778],
-    [1064, 1066, 1072, 1078, 1076, 1070],
-    [922, 928, 976, 1024, 1072, 1066, 1018, 970],
-    [778, 874, 970, 922],
-    [1016, 1018, 1066, 1064],
-    [680, 686, 782, 926, 920, 776],
-    [872, 874, 970, 1018, 1016, 968],
-    [596, 598, 682, 778, 874, 872, 776, 680],
-    [920, 926, 974, 1022, 1070, 1064, 1016, 968],
-    [776, 872, 968, 920],
-    [289, 291, 387, 489, 487, 385],
-    [589, 601, 733, 829, 823, 727],
-    [385, 391, 493, 589, 727, 721, 583, 487],
-    [487, 489, 585, 583],
-    [721, 727, 823, 817],
-    [591, 603, 735, 831, 825, 729],
-    [583, 585, 723, 819, 817, 721],
-    [387, 393, 495, 591, 729, 723, 585, 489],
-    [817, 819, 825, 831, 837, 835, 829, 823],
-    [723, 729, 825, 819],
-    [288, 290, 386, 488, 486, 384],
-    [588, 600, 732, 828, 822, 726],
-    [384, 390, 492, 588, 726, 720, 582, 486],
-    [486, 488, 584, 582],
-    [720, 726, 822, 816],
-    [590, 602, 734, 830, 824, 728],
-    [582, 584, 722, 818, 816, 720],
-    [386, 392, 494, 590, 728, 722, 584, 488],
-    [816, 818, 824, 830, 836, 834, 828, 822],
-    [722, 728, 824, 818],
-    [1113, 1115, 1121, 1133, 1131, 1119],
-    [1112, 1114, 1120, 1132, 1130, 1118],
-    [1110, 1111, 1117, 1129, 1128, 1116],
-    [1108, 1109, 1115, 1121, 1127, 1126, 1120, 1114],
-    [1105, 1107, 1113, 1119, 1125, 1123, 1117, 1111],
-    [1104, 1106, 1112, 1118, 1124, 1122, 1116, 1110],
-    [1107, 1109, 1115, 1113],
-    [1106, 1108, 1114, 1112],
-    [1104, 1105, 1111, 1110],
-    [1104, 1105, 1107, 1109, 1108, 1106],
-    [679, 685, 781, 925, 919, 775],
-    [678, 684, 780, 924, 918, 774],
-    [1062, 1063, 1069, 1075, 1074, 1068],
-    [919, 925, 973, 1021, 1069, 1063, 1015, 967],
-    [918, 924, 972, 1020, 1068, 1062, 1014, 966],
-    [1014, 1015, 1063, 1062],
-    [870, 871, 967, 1015, 1014, 966],
-    [775, 871, 967, 919],
-    [774, 870, 966, 918],
-    [594, 595, 679, 775, 871, 870, 774, 678],
-    [341, 389, 491, 437],
-    [340, 388, 490, 436],
-    [436, 437, 491, 490],
-    [827, 833, 929, 923],
-    [593, 683, 779, 731],
-    [731, 779, 923, 827],
-    [826, 832, 928, 922],
-    [592, 682, 778, 730],
-    [730, 778, 922, 826],
-    [337, 385, 487, 433],
-    [339, 387, 489, 435],
-    [433, 435, 489, 487],
-    [591, 681, 777, 729],
-    [825, 831, 927, 921],
-    [729, 777, 921, 825],
-    [336, 384, 486, 432],
-    [338, 386, 488, 434],
-    [432, 434, 488, 486],
-    [1067, 1073, 1121, 1115],
-    [1065, 1071, 1119, 1113],
-    [1065, 1067, 1115, 1113],
-    [590, 680, 776, 728],
-    [824, 830, 926, 920],
-    [728, 776, 920, 824],
-    [1066, 1072, 1120, 1114],
-    [1064, 1070, 1118, 1112],
-    [1064, 1066, 1114, 1112],
-    [589, 679, 775, 727],
-    [823, 829, 925, 919],
-    [727, 775, 919, 823],
-    [588, 678, 774, 726],
-    [822, 828, 924, 918],
-    [726, 774, 918, 822],
-    [1063, 1069, 1117, 1111],
-    [1062, 1068, 1116, 1110],
-    [1062, 1063, 1111, 1110],
-    [437, 485, 581, 677, 587, 491],
-    [587, 677, 773, 725],
-    [725, 731, 779, 875, 869, 773],
-    [483, 485, 581, 579],
-    [435, 483, 579, 675, 585, 489],
-    [579, 581, 677, 773, 869, 867, 771, 675],
-    [867, 869, 875, 873],
-    [585, 675, 771, 723],
-    [723, 729, 777, 873, 867, 771],
-    [436, 484, 580, 676, 586, 490],
-    [586, 676, 772, 724],
-    [724, 730, 778, 874, 868, 772],
-    [482, 484, 580, 578],
-    [434, 482, 578, 674, 584, 488],
-    [578, 580, 676, 772, 868, 866, 770, 674],
-    [866, 868, 874, 872],
-    [584, 674, 770, 722],
-    [722, 728, 776, 872, 866, 770],
-    [821, 827, 923, 971, 965, 917],
-    [820, 826, 922, 970, 964, 916],
-    [1013, 1019, 1067, 1115, 1109, 1061],
-    [1012, 1018, 1066, 1114, 1108, 1060],
-    [1060, 1061, 1109, 1108],
-    [965, 971, 1019, 1013],
-    [964, 970, 1018, 1012],
-    [916, 917, 965, 1013, 1061, 1060, 1012, 964],
-    [820, 821, 917, 916],
-    [433, 481, 577, 673, 583, 487],
-    [432, 480, 576, 672, 582, 486],
-    [721, 727, 775, 871, 865, 769],
-    [720, 726, 774, 870, 864, 768],
-    [480, 481, 577, 576],
-    [583, 673, 769, 721],
-    [582, 672, 768, 720],
-    [576, 577, 673, 769, 865, 864, 768, 672],
-    [864, 865, 871, 870],
-    [1009, 1015, 1063, 1111, 1105, 1057],
-    [1011, 1017, 1065, 1113, 1107, 1059],
-    [1057, 1059, 1107, 1105],
-    [817, 823, 919, 967, 961, 913],
-    [961, 967, 1015, 1009],
-    [913, 915, 963, 1011, 1059, 1057, 1009, 961],
-    [963, 969, 1017, 1011],
-    [817, 819, 915, 913],
-    [819, 825, 921, 969, 963, 915],
-    [1008, 1014, 1062, 1110, 1104, 1056],
-    [1010, 1016, 1064, 1112, 1106, 1058],
-    [1056, 1058, 1106, 1104],
-    [816, 822, 918, 966, 960, 912],
-    [960, 966, 1014, 1008],
-    [912, 914, 962, 1010, 1058, 1056, 1008, 960],
-    [962, 968, 1016, 1010],
-    [816, 818, 914, 912],
-    [818, 824, 920, 968, 962, 914],
-    [484, 485, 581, 580],
-    [586, 587, 677, 676],
-    [580, 581, 677, 676],
-    [725, 773, 917, 821],
-    [869, 875, 971, 965],
-    [773, 869, 965, 917],
-    [724, 772, 916, 820],
-    [868, 874, 970, 964],
-    [772, 868, 964, 916],
-    [481, 483, 579, 577],
-    [583, 585, 675, 673],
-    [577, 579, 675, 673],
-    [867, 873, 969, 963],
-    [723, 771, 915, 819],
-    [771, 867, 963, 915],
-    [480, 482, 578, 576],
-    [582, 584, 674, 672],
-    [576, 578, 674, 672],
-    [1059, 1061, 1109, 1107],
-    [1011, 1013, 1019, 1017],
-    [1011, 1013, 1061, 1059],
-    [866, 872, 968, 962],
-    [722, 770, 914, 818],
-    [770, 866, 962, 914],
-    [1058, 1060, 1108, 1106],
-    [1010, 1012, 1018, 1016],
-    [1010, 1012, 1060, 1058],
-    [865, 871, 967, 961],
-    [721, 769, 913, 817],
-    [769, 865, 961, 913],
-    [864, 870, 966, 960],
-    [720, 768, 912, 816],
-    [768, 864, 960, 912],
-    [1056, 1057, 1105, 1104],
-    [1008, 1009, 1015, 1014],
-    [1008, 1009, 1057, 1056],
-    [676, 677, 773, 917, 916, 772],
-    [576, 577, 579, 581, 580, 578],
-    [867, 869, 965, 1013, 1011, 963],
-    [866, 868, 964, 1012, 1010, 962],
-    [673, 675, 771, 915, 913, 769],
-    [672, 674, 770, 914, 912, 768],
-    [1056, 1057, 1059, 1061, 1060, 1058],
-    [864, 865, 961, 1009, 1008, 960],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25,
-    ],
-    [2, 26, 27, 28, 29, 30, 31, 32],
-    [14, 33, 34, 35, 36, 37, 38, 39],
-    [3, 40, 41, 42, 43, 44, 45, 46],
-    [4, 47, 48, 49, 50, 51, 52, 53],
-    [5, 54, 55, 56, 57, 58, 59, 60],
-    [6, 61, 62, 63, 64, 65, 66, 67],
-    [25, 68, 69, 70, 71, 72, 73, 74],
-    [7, 75, 76, 77, 78, 79, 80, 81],
-    [15, 30, 33, 82, 83, 84, 85, 86],
-    [16, 42, 27, 87, 88, 89, 90, 91],
-    [17, 49, 29, 92, 93, 94, 95, 96],
-    [18, 56, 36, 97, 98, 99, 100, 101],
-    [0, 41, 55, 102, 103, 104, 105, 106],
-    [19, 63, 37, 107, 108, 109, 110, 111],
-    [20, 43, 69, 112, 113, 114, 115, 116],
-    [1, 48, 62, 117, 118, 119, 120, 121],
-    [21, 50, 70, 122, 123, 124, 125, 126],
-    [22, 57, 75, 127, 128, 129, 130, 131],
-    [23, 64, 77, 132, 133, 134, 135, 136],
-    [24, 79, 73, 137, 138, 139, 140, 141],
-    [
-      105, 44, 58, 8, 26, 88, 34, 98, 82, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-    ],
-    [
-      120, 51, 65, 9, 28, 93, 35, 108, 83, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170, 171, 172, 173, 174, 175,
-    ],
-    [
-      31, 10, 40, 47, 68, 87, 92, 112, 122, 176, 177, 178, 179, 180, 181, 182,
-      183, 184, 185, 186, 187, 188, 189, 190, 191, 192,
-    ],
-    [
-      80, 11, 54, 61, 38, 97, 107, 127, 132, 193, 194, 195, 196, 197, 198, 199,
-      200, 201, 202, 203, 204, 205, 206, 207, 208, 209,
-    ],
-    [
-      106, 45, 59, 12, 113, 71, 128, 76, 137, 210, 211, 212, 213, 214, 215, 216,
-      217, 218, 219, 220, 221, 222, 223, 224, 225, 226,
-    ],
-    [
-      121, 52, 66, 13, 123, 72, 133, 78, 138, 227, 228, 229, 230, 231, 232, 233,
-      234, 235, 236, 237, 238, 239, 240, 241, 242, 243,
-    ],
-    [86, 142, 159, 244, 245, 246, 247, 248],
-    [91, 149, 179, 249, 250, 251, 252, 253],
-    [96, 166, 180, 254, 255, 256, 257, 258],
-    [101, 151, 196, 259, 260, 261, 262, 263],
-    [102, 145, 213, 264, 265, 266, 267, 268],
-    [111, 168, 197, 269, 270, 271, 272, 273],
-    [116, 217, 181, 274, 275, 276, 277, 278],
-    [117, 162, 230, 279, 280, 281, 282, 283],
-    [126, 234, 182, 284, 285, 286, 287, 288],
-    [131, 219, 198, 289, 290, 291, 292, 293],
-    [136, 236, 199, 294, 295, 296, 297, 298],
-    [141, 210, 227, 299, 300, 301, 302, 303],
-    [
-      183, 90, 95, 32, 84, 143, 160, 245, 249, 254, 304, 305, 306, 307, 308,
-      309, 310, 311, 312, 313, 314, 315, 316, 317, 318, 319,
-    ],
-    [
-      39, 85, 100, 110, 144, 161, 195, 244, 259, 269, 320, 321, 322, 323, 324,
-      325, 326, 327, 328, 329, 330, 331, 332, 333, 334, 335,
-    ],
-    [
-      103, 146, 214, 46, 264, 89, 114, 176, 250, 275, 336, 337, 338, 339, 340,
-      341, 342, 343, 344, 345, 346, 347, 348, 349, 350, 351,
-    ],
-    [
-      118, 163, 231, 53, 279, 94, 124, 177, 255, 285, 352, 353, 354, 355, 356,
-      357, 358, 359, 360, 361, 362, 363, 364, 365, 366, 367,
-    ],
-    [
-      104, 147, 215, 60, 265, 99, 129, 193, 260, 290, 368, 369, 370, 371, 372,
-      373, 374, 375, 376, 377, 378, 379, 380, 381, 382, 383,
-    ],
-    [
-      119, 164, 232, 67, 280, 109, 134, 194, 270, 295, 384, 385, 386, 387, 388,
-      389, 390, 391, 392, 393, 394, 395, 396, 397, 398, 399,
-    ],
-    [
-      74, 115, 125, 140, 178, 211, 228, 274, 284, 299, 400, 401, 402, 403, 404,
-      405, 406, 407, 408, 409, 410, 411, 412, 413, 414, 415,
-    ],
-    [
-      200, 130, 135, 81, 139, 212, 229, 300, 289, 294, 416, 417, 418, 419, 420,
-      421, 422, 423, 424, 425, 426, 427, 428, 429, 430, 431,
-    ],
-    [150, 246, 306, 322, 432, 433, 434, 435],
-    [157, 251, 338, 304, 436, 437, 438, 439],
-    [167, 247, 307, 323, 440, 441, 442, 443],
-    [252, 186, 308, 336, 444, 445, 446, 447],
-    [174, 256, 354, 305, 448, 449, 450, 451],
-    [257, 187, 309, 352, 452, 453, 454, 455],
-    [158, 261, 370, 320, 456, 457, 458, 459],
-    [267, 341, 373, 148, 460, 461, 462, 463],
-    [175, 271, 386, 321, 464, 465, 466, 467],
-    [277, 188, 402, 337, 468, 469, 470, 471],
-    [282, 357, 389, 165, 472, 473, 474, 475],
-    [287, 189, 403, 353, 476, 477, 478, 479],
-    [262, 203, 324, 368, 480, 481, 482, 483],
-    [268, 342, 374, 216, 484, 485, 486, 487],
-    [272, 204, 325, 384, 488, 489, 490, 491],
-    [225, 276, 340, 400, 492, 493, 494, 495],
-    [283, 358, 390, 233, 496, 497, 498, 499],
-    [242, 286, 356, 401, 500, 501, 502, 503],
-    [292, 205, 418, 369, 504, 505, 506, 507],
-    [226, 291, 372, 416, 508, 509, 510, 511],
-    [297, 206, 419, 385, 512, 513, 514, 515],
-    [218, 301, 404, 420, 516, 517, 518, 519],
-    [243, 296, 388, 417, 520, 521, 522, 523],
-    [235, 302, 405, 421, 524, 525, 526, 527],
-    [155, 433, 437, 310, 528, 529, 530, 531],
-    [172, 441, 449, 311, 532, 533, 534, 535],
-    [318, 190, 444, 452, 536, 537, 538, 539],
-    [156, 434, 457, 326, 540, 541, 542, 543],
-    [347, 461, 152, 436, 544, 545, 546, 547],
-    [173, 442, 465, 327, 548, 549, 550, 551],
-    [184, 445, 469, 339, 552, 553, 554, 555],
-    [363, 473, 169, 448, 556, 557, 558, 559],
-    [185, 453, 477, 355, 560, 561, 562, 563],
-    [379, 462, 153, 456, 564, 565, 566, 567],
-    [395, 474, 170, 464, 568, 569, 570, 571],
-    [192, 406, 468, 476, 572, 573, 574, 575],
-    [209, 328, 480, 488, 576, 577, 578, 579],
-    [350, 485, 220, 492, 580, 581, 582, 583],
-    [366, 497, 237, 500, 584, 585, 586, 587],
-    [201, 481, 505, 371, 588, 589, 590, 591],
-    [382, 486, 221, 508, 592, 593, 594, 595],
-    [202, 489, 513, 387, 596, 597, 598, 599],
-    [223, 517, 493, 407, 600, 601, 602, 603],
-    [398, 498, 238, 520, 604, 605, 606, 607],
-    [240, 525, 501, 408, 608, 609, 610, 611],
-    [429, 207, 504, 512, 612, 613, 614, 615],
-    [224, 518, 509, 422, 616, 617, 618, 619],
-    [241, 526, 521, 423, 620, 621, 622, 623],
-    [319, 624, 625, 626, 627, 628, 629, 630],
-    [531, 314, 624, 631, 632, 633, 634, 635],
-    [535, 315, 626, 636, 637, 638, 639, 640],
-    [317, 538, 629, 641, 642, 643, 644, 645],
-    [
-      248, 316, 435, 443, 329, 528, 532, 540, 548, 628, 631, 636, 646, 647, 648,
-      649, 650, 651, 652, 653, 654, 655, 656, 657, 658, 659,
-    ],
-    [
-      439, 253, 344, 530, 554, 447, 545, 312, 536, 632, 625, 641, 660, 661, 662,
-      663, 664, 665, 666, 667, 668, 669, 670, 671, 672, 673,
-    ],
-    [
-      451, 258, 360, 534, 562, 455, 557, 313, 537, 637, 627, 642, 674, 675, 676,
-      677, 678, 679, 680, 681, 682, 683, 684, 685, 686, 687,
-    ],
-    [
-      547, 567, 463, 154, 438, 458, 432, 529, 541, 661, 633, 646, 688, 689, 690,
-      691, 692, 693, 694, 695, 696, 697, 698, 699, 700, 701,
-    ],
-    [
-      559, 571, 475, 171, 450, 466, 440, 533, 549, 675, 638, 647, 702, 703, 704,
-      705, 706, 707, 708, 709, 710, 711, 712, 713, 714, 715,
-    ],
-    [
-      539, 191, 446, 454, 470, 478, 574, 552, 560, 643, 660, 674, 716, 717, 718,
-      719, 720, 721, 722, 723, 724, 725, 726, 727, 728, 729,
-    ],
-    [543, 332, 649, 688, 730, 731, 732, 733],
-    [546, 348, 689, 662, 734, 735, 736, 737],
-    [551, 333, 650, 702, 738, 739, 740, 741],
-    [346, 553, 664, 716, 742, 743, 744, 745],
-    [558, 364, 703, 676, 746, 747, 748, 749],
-    [362, 561, 678, 717, 750, 751, 752, 753],
-    [334, 648, 730, 738, 754, 755, 756, 757],
-    [351, 735, 663, 742, 758, 759, 760, 761],
-    [367, 747, 677, 750, 762, 763, 764, 765],
-    [566, 380, 692, 766, 767, 768, 769, 770],
-    [
-      459, 263, 376, 542, 590, 483, 565, 330, 576, 691, 731, 754, 766, 771, 772,
-      773, 774, 775, 776, 777, 778, 779, 780, 781, 782, 783,
-    ],
-    [
-      266, 460, 484, 343, 375, 544, 564, 580, 592, 734, 690, 758, 767, 784, 785,
-      786, 787, 788, 789, 790, 791, 792, 793, 794, 795, 796,
-    ],
-    [579, 335, 756, 771, 797, 798, 799, 800],
-    [349, 582, 760, 784, 801, 802, 803, 804],
-    [
-      467, 273, 392, 550, 598, 491, 569, 331, 577, 705, 739, 755, 797, 805, 806,
-      807, 808, 809, 810, 811, 812, 813, 814, 815, 816, 817,
-    ],
-    [
-      495, 278, 345, 555, 602, 471, 581, 409, 572, 743, 759, 718, 801, 818, 819,
-      820, 821, 822, 823, 824, 825, 826, 827, 828, 829, 830,
-    ],
-    [570, 396, 706, 805, 831, 832, 833, 834],
-    [575, 412, 720, 818, 835, 836, 837, 838],
-    [
-      281, 472, 496, 359, 391, 556, 568, 584, 604, 746, 704, 762, 831, 839, 840,
-      841, 842, 843, 844, 845, 846, 847, 848, 849, 850, 851,
-    ],
-    [
-      503, 288, 361, 563, 610, 479, 585, 410, 573, 751, 763, 719, 835, 852, 853,
-      854, 855, 856, 857, 858, 859, 860, 861, 862, 863, 864,
-    ],
-    [365, 586, 764, 839, 852, 865, 866, 867],
-    [383, 768, 773, 785, 868, 869, 870, 871],
-    [399, 832, 807, 840, 872, 873, 874, 875],
-    [415, 836, 819, 853, 876, 877, 878, 879],
-    [378, 589, 774, 868, 880, 881, 882, 883],
-    [381, 594, 870, 787, 884, 885, 886, 887],
-    [394, 597, 808, 872, 888, 889, 890, 891],
-    [603, 413, 820, 876, 892, 893, 894, 895],
-    [397, 606, 874, 842, 896, 897, 898, 899],
-    [611, 414, 854, 877, 900, 901, 902, 903],
-    [
-      615, 208, 482, 490, 506, 514, 578, 588, 596, 798, 772, 806, 880, 888, 904,
-      905, 906, 907, 908, 909, 910, 911, 912, 913, 914, 915,
-    ],
-    [
-      583, 595, 487, 222, 494, 510, 516, 601, 617, 802, 821, 786, 885, 892, 916,
-      917, 918, 919, 920, 921, 922, 923, 924, 925, 926, 927,
-    ],
-    [
-      587, 607, 499, 239, 502, 522, 524, 609, 621, 865, 855, 841, 897, 900, 928,
-      929, 930, 931, 932, 933, 934, 935, 936, 937, 938, 939,
-    ],
-    [
-      511, 293, 377, 591, 618, 507, 593, 424, 612, 881, 869, 884, 918, 904, 940,
-      941, 942, 943, 944, 945, 946, 947, 948, 949, 950, 951,
-    ],
-    [
-      523, 298, 393, 599, 622, 515, 605, 425, 613, 889, 873, 896, 930, 905, 952,
-      953, 954, 955, 956, 957, 958, 959, 960, 961, 962, 963,
-    ],
-    [
-      303, 428, 519, 527, 411, 600, 608, 616, 620, 893, 901, 878, 916, 928, 964,
-      965, 966, 967, 968, 969, 970, 971, 972, 973, 974, 975,
-    ],
-    [614, 430, 906, 940, 952, 976, 977, 978],
-    [619, 426, 917, 942, 964, 979, 980, 981],
-    [623, 427, 929, 954, 965, 982, 983, 984],
-    [431, 976, 966, 941, 979, 953, 982, 985],
-    [635, 669, 693, 651, 986, 987, 988, 989],
-    [640, 683, 707, 652, 990, 991, 992, 993],
-    [729, 645, 665, 679, 994, 995, 996, 997],
-    [733, 779, 694, 653, 998, 999, 1000, 1001],
-    [700, 736, 667, 788, 1002, 1003, 1004, 1005],
-    [741, 813, 708, 654, 1006, 1007, 1008, 1009],
-    [670, 826, 744, 721, 1010, 1011, 1012, 1013],
-    [714, 748, 681, 843, 1014, 1015, 1016, 1017],
-    [684, 860, 752, 722, 1018, 1019, 1020, 1021],
-    [701, 769, 777, 789, 1022, 1023, 1024, 1025],
-    [715, 833, 811, 844, 1026, 1027, 1028, 1029],
-    [838, 723, 822, 856, 1030, 1031, 1032, 1033],
-    [800, 909, 775, 809, 1034, 1035, 1036, 1037],
-    [926, 804, 824, 790, 1038, 1039, 1040, 1041],
-    [938, 867, 858, 845, 1042, 1043, 1044, 1045],
-    [780, 947, 882, 907, 1046, 1047, 1048, 1049],
-    [927, 887, 945, 791, 1050, 1051, 1052, 1053],
-    [814, 959, 890, 908, 1054, 1055, 1056, 1057],
-    [895, 827, 919, 967, 1058, 1059, 1060, 1061],
-    [939, 899, 957, 846, 1062, 1063, 1064, 1065],
-    [903, 861, 931, 968, 1066, 1067, 1068, 1069],
-    [915, 977, 943, 955, 1070, 1071, 1072, 1073],
-    [981, 948, 920, 969, 1074, 1075, 1076, 1077],
-    [984, 960, 932, 970, 1078, 1079, 1080, 1081],
-    [656, 988, 1000, 695, 1082, 1083, 1084, 1085],
-    [673, 696, 987, 1002, 1086, 1087, 1088, 1089],
-    [657, 992, 1008, 709, 1090, 1091, 1092, 1093],
-    [668, 724, 1011, 994, 1094, 1095, 1096, 1097],
-    [687, 710, 991, 1014, 1098, 1099, 1100, 1101],
-    [682, 725, 1019, 995, 1102, 1103, 1104, 1105],
-    [783, 697, 999, 1022, 1106, 1107, 1108, 1109],
-    [699, 1004, 1024, 794, 1110, 1111, 1112, 1113],
-    [817, 711, 1007, 1026, 1114, 1115, 1116, 1117],
-    [825, 726, 1012, 1030, 1118, 1119, 1120, 1121],
-    [713, 1016, 1028, 849, 1122, 1123, 1124, 1125],
-    [859, 727, 1020, 1031, 1126, 1127, 1128, 1129],
-    [778, 910, 1047, 1034, 1130, 1131, 1132, 1133],
-    [925, 1040, 1052, 795, 1134, 1135, 1136, 1137],
-    [812, 911, 1055, 1035, 1138, 1139, 1140, 1141],
-    [830, 922, 1059, 1038, 1142, 1143, 1144, 1145],
-    [937, 1044, 1064, 850, 1146, 1147, 1148, 1149],
-    [864, 934, 1067, 1042, 1150, 1151, 1152, 1153],
-    [946, 912, 1048, 1070, 1154, 1155, 1156, 1157],
-    [951, 923, 1075, 1050, 1158, 1159, 1160, 1161],
-    [958, 913, 1056, 1071, 1162, 1163, 1164, 1165],
-    [972, 1060, 1076, 921, 1166, 1167, 1168, 1169],
-    [963, 935, 1079, 1062, 1170, 1171, 1172, 1173],
-    [973, 1068, 1080, 933, 1174, 1175, 1176, 1177],
-    [
-      630, 644, 997, 658, 634, 639, 666, 680, 986, 990, 1082, 1090, 1095, 1103,
-      1086, 1098, 1178, 1179, 1180, 1181, 1182, 1183, 1184, 1185, 1186, 1187,
-    ],
-    [
-      757, 732, 740, 799, 655, 776, 810, 998, 1006, 1036, 1083, 1091, 1131,
-      1139, 1106, 1114, 1188, 1189, 1190, 1191, 1192, 1193, 1194, 1195, 1196,
-      1197,
-    ],
-    [
-      761, 1005, 737, 803, 1041, 745, 671, 828, 792, 1111, 1135, 1087, 1010,
-      1143, 1094, 1118, 1198, 1199, 1200, 1201, 1202, 1203, 1204, 1205, 1206,
-      1207,
-    ],
-    [
-      765, 1017, 749, 866, 1045, 753, 685, 862, 847, 1123, 1147, 1099, 1018,
-      1151, 1102, 1126, 1208, 1209, 1210, 1211, 1212, 1213, 1214, 1215, 1216,
-      1217,
-    ],
-    [
-      871, 1025, 770, 886, 1053, 883, 781, 949, 793, 1112, 1136, 1107, 1046,
-      1159, 1130, 1154, 1218, 1219, 1220, 1221, 1222, 1223, 1224, 1225, 1226,
-      1227,
-    ],
-    [
-      875, 1029, 834, 898, 1065, 891, 815, 961, 848, 1124, 1148, 1115, 1054,
-      1171, 1138, 1162, 1228, 1229, 1230, 1231, 1232, 1233, 1234, 1235, 1236,
-      1237,
-    ],
-    [
-      837, 879, 894, 902, 823, 857, 971, 1032, 1058, 1066, 1119, 1127, 1166,
-      1174, 1142, 1150, 1238, 1239, 1240, 1241, 1242, 1243, 1244, 1245, 1246,
-      1247,
-    ],
-    [
-      985, 1073, 978, 974, 980, 983, 944, 956, 1074, 1078, 1155, 1163, 1167,
-      1175, 1158, 1170, 1248, 1249, 1250, 1251, 1252, 1253, 1254, 1255, 1256,
-      1257,
-    ],
-    [659, 1084, 1092, 1180, 1188, 1258, 1259, 1260],
-    [672, 1097, 1088, 1198, 1178, 1261, 1262, 1263],
-    [686, 1105, 1100, 1208, 1179, 1264, 1265, 1266],
-    [782, 1133, 1108, 1218, 1189, 1267, 1268, 1269],
-    [1113, 1137, 796, 1203, 1223, 1270, 1271, 1272],
-    [816, 1141, 1116, 1228, 1190, 1273, 1274, 1275],
-    [829, 1121, 1144, 1199, 1238, 1276, 1277, 1278],
-    [1125, 1149, 851, 1213, 1233, 1279, 1280, 1281],
-    [863, 1129, 1152, 1209, 1239, 1282, 1283, 1284],
-    [950, 1157, 1160, 1219, 1248, 1285, 1286, 1287],
-    [962, 1165, 1172, 1229, 1249, 1288, 1289, 1290],
-    [975, 1168, 1176, 1250, 1240, 1291, 1292, 1293],
-    [
-      1089, 1109, 989, 1001, 698, 1003, 1023, 1262, 1085, 1268, 1110, 1205,
-      1225, 1270, 1181, 1191, 1258, 1294, 1295, 1296, 1297, 1298, 1299, 1300,
-      1301, 1302,
-    ],
-    [
-      1101, 1117, 993, 1009, 712, 1015, 1027, 1265, 1093, 1274, 1122, 1215,
-      1235, 1279, 1182, 1192, 1259, 1303, 1304, 1305, 1306, 1307, 1308, 1309,
-      1310, 1311,
-    ],
-    [
-      1033, 728, 996, 1096, 1104, 1120, 1128, 1013, 1021, 1187, 1261, 1264,
-      1276, 1282, 1241, 1200, 1210, 1312, 1313, 1314, 1315, 1316, 1317, 1318,
-      1319, 1320,
-    ],
-    [
-      1037, 914, 1072, 1132, 1140, 1156, 1164, 1049, 1057, 1257, 1267, 1273,
-      1285, 1288, 1193, 1220, 1230, 1321, 1322, 1323, 1324, 1325, 1326, 1327,
-      1328, 1329,
-    ],
-    [
-      1145, 1161, 1061, 1077, 924, 1039, 1051, 1277, 1169, 1286, 1134, 1206,
-      1226, 1271, 1242, 1251, 1291, 1330, 1331, 1332, 1333, 1334, 1335, 1336,
-      1337, 1338,
-    ],
-    [
-      1153, 1173, 1069, 1081, 936, 1043, 1063, 1283, 1177, 1289, 1146, 1216,
-      1236, 1280, 1243, 1252, 1292, 1339, 1340, 1341, 1342, 1343, 1344, 1345,
-      1346, 1347,
-    ],
-    [1260, 1194, 1183, 1294, 1303, 1348, 1349, 1350],
-    [1263, 1185, 1201, 1296, 1312, 1351, 1352, 1353],
-    [1266, 1186, 1211, 1305, 1313, 1354, 1355, 1356],
-    [1269, 1195, 1221, 1298, 1321, 1357, 1358, 1359],
-    [1302, 1338, 1207, 1227, 1272, 1360, 1361, 1362],
-    [1275, 1196, 1231, 1307, 1322, 1363, 1364, 1365],
-    [1278, 1244, 1202, 1331, 1314, 1366, 1367, 1368],
-    [1311, 1347, 1217, 1237, 1281, 1369, 1370, 1371],
-    [1284, 1245, 1212, 1340, 1315, 1372, 1373, 1374],
-    [1287, 1255, 1222, 1333, 1323, 1375, 1376, 1377],
-    [1290, 1256, 1232, 1342, 1324, 1378, 1379, 1380],
-    [1293, 1246, 1253, 1330, 1339, 1381, 1382, 1383],
-    [1184, 1320, 1349, 1295, 1351, 1304, 1354, 1384],
-    [1197, 1348, 1297, 1306, 1357, 1363, 1325, 1385],
-    [1204, 1300, 1336, 1352, 1367, 1360, 1317, 1386],
-    [1214, 1309, 1345, 1355, 1373, 1369, 1318, 1387],
-    [1224, 1301, 1337, 1358, 1376, 1361, 1326, 1388],
-    [1234, 1310, 1346, 1364, 1379, 1370, 1327, 1389],
-    [1247, 1316, 1366, 1372, 1332, 1341, 1381, 1390],
-    [1254, 1329, 1382, 1375, 1334, 1378, 1343, 1391],
-    [
-      1385, 1350, 1353, 1356, 1359, 1365, 1368, 1374, 1377, 1380, 1383, 1390,
-      1299, 1308, 1319, 1328, 1335, 1344, 1384, 1386, 1387, 1388, 1389, 1391,
-      1362, 1371,
-    ],
-  ],
-}
-
-export default {
-  vertices: [
-    [-0.5, -0.22620919128553418, -0.09369891496391802, -0.05409709377719392],
-    [-0.5, -0.22620919128553418, -0.09369891496391802, 0.05409709377719392],
-    [-0.5, -0.22620919128553418, 0.0, -0.10819418755438784],
-    [-0.5, -0.22620919128553418, 0.0, 0.10819418755438784],
-    [-0.5, -0.22620919128553418, 0.09369891496391802, -0.05409709377719392],
-    [-0.5, -0.22620919128553418, 0.09369891496391802, 0.05409709377719392],
-    [-0.5, -0.16374324797625556, -0.13786900707112343, -0.1306019374818707],
-    [-0.5, -0.16374324797625556, -0.13786900707112343, 0.1306019374818707],
-    [-0.5, -0.16374324797625556, -0.04417009210720539, -0.18469903125906462],
-    [-0.5, -0.16374324797625556, -0.04417009210720539, 0.18469903125906462],
-    [-0.5, -0.16374324797625556, 0.18203909917832883, -0.05409709377719392],
-    [-0.5, -0.16374324797625556, 0.18203909917832883, 0.05409709377719392],
-    [-0.5, -0.07540306376184475, -0.2003349503804021, -0.1306019374818707],
-    [-0.5, -0.07540306376184475, -0.2003349503804021, 0.1306019374818707],
-    [-0.5, -0.07540306376184475, -0.012937120452566061, -0.23879612503625858],
-    [-0.5, -0.07540306376184475, -0.012937120452566061, 0.23879612503625858],
-    [-0.5, -0.07540306376184475, 0.21327207083296812, -0.10819418755438784],
-    [-0.5, -0.07540306376184475, 0.21327207083296812, 0.10819418755438784],
-    [-0.5, -0.012937120452566061, -0.24450504248760746, -0.05409709377719392],
-    [-0.5, -0.012937120452566061, -0.24450504248760746, 0.05409709377719392],
-    [-0.5, -0.012937120452566061, 0.07540306376184475, -0.23879612503625858],
-    [-0.5, -0.012937120452566061, 0.07540306376184475, 0.23879612503625858],
-    [-0.5, -0.012937120452566061, 0.16910197872576277, -0.18469903125906462],
-    [-0.5, -0.012937120452566061, 0.16910197872576277, 0.18469903125906462],
-    [-0.5, 0.012937120452566061, -0.16910197872576277, -0.18469903125906462],
-    [-0.5, 0.012937120452566061, -0.16910197872576277, 0.18469903125906462],
-    [-0.5, 0.012937120452566061, -0.07540306376184475, -0.23879612503625858],
-    [-0.5, 0.012937120452566061, -0.07540306376184475, 0.23879612503625858],
-    [-0.5, 0.012937120452566061, 0.24450504248760746, -0.05409709377719392],
-    [-0.5, 0.012937120452566061, 0.24450504248760746, 0.05409709377719392],
-    [-0.5, 0.07540306376184475, -0.21327207083296812, -0.10819418755438784],
-    [-0.5, 0.07540306376184475, -0.21327207083296812, 0.10819418755438784],
-    [-0.5, 0.07540306376184475, 0.012937120452566061, -0.23879612503625858],
-    [-0.5, 0.07540306376184475, 0.012937120452566061, 0.23879612503625858],
-    [-0.5, 0.07540306376184475, 0.2003349503804021, -0.1306019374818707],
-    [-0.5, 0.07540306376184475, 0.2003349503804021, 0.1306019374818707],
-    [-0.5, 0.16374324797625556, -0.18203909917832883, -0.05409709377719392],
-    [-0.5, 0.16374324797625556, -0.18203909917832883, 0.05409709377719392],
-    [-0.5, 0.16374324797625556, 0.04417009210720539, -0.18469903125906462],
-    [-0.5, 0.16374324797625556, 0.04417009210720539, 0.18469903125906462],
-    [-0.5, 0.16374324797625556, 0.13786900707112343, -0.1306019374818707],
-    [-0.5, 0.16374324797625556, 0.13786900707112343, 0.1306019374818707],
-    [-0.5, 0.22620919128553418, -0.09369891496391802, -0.05409709377719392],
-    [-0.5, 0.22620919128553418, -0.09369891496391802, 0.05409709377719392],
-    [-0.5, 0.22620919128553418, 0.0, -0.10819418755438784],
-    [-0.5, 0.22620919128553418, 0.0, 0.10819418755438784],
-    [-0.5, 0.22620919128553418, 0.09369891496391802, -0.05409709377719392],
-    [-0.5, 0.22620919128553418, 0.09369891496391802, 0.05409709377719392],
-    [
-      -0.44590290622280604, -0.3199081062494522, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, -0.3199081062494522, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [-0.44590290622280604, -0.3199081062494522, 0.0, -0.10819418755438784],
-    [-0.44590290622280604, -0.3199081062494522, 0.0, 0.10819418755438784],
-    [
-      -0.44590290622280604, -0.3199081062494522, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, -0.3199081062494522, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, -0.19497621963089484, -0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, -0.19497621963089484, -0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, -0.19497621963089484, -0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, -0.19497621963089484, -0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, -0.19497621963089484, 0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, -0.19497621963089484, 0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, -0.10663603541648406, -0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, -0.10663603541648406, -0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, -0.10663603541648406, -0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, -0.10663603541648406, -0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, -0.10663603541648406, 0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      -0.44590290622280604, -0.10663603541648406, 0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      -0.44590290622280604, -0.018295851202073277, -0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, -0.018295851202073277, -0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, -0.018295851202073277, -0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, -0.018295851202073277, -0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, -0.018295851202073277, 0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, -0.018295851202073277, 0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.018295851202073277, -0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.018295851202073277, -0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.018295851202073277, 0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, 0.018295851202073277, 0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, 0.018295851202073277, 0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, 0.018295851202073277, 0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, 0.10663603541648406, -0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      -0.44590290622280604, 0.10663603541648406, -0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      -0.44590290622280604, 0.10663603541648406, 0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, 0.10663603541648406, 0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      -0.44590290622280604, 0.10663603541648406, 0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, 0.10663603541648406, 0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, 0.19497621963089484, -0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.19497621963089484, -0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.19497621963089484, 0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, 0.19497621963089484, 0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      -0.44590290622280604, 0.19497621963089484, 0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, 0.19497621963089484, 0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      -0.44590290622280604, 0.3199081062494522, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.3199081062494522, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [-0.44590290622280604, 0.3199081062494522, 0.0, -0.10819418755438784],
-    [-0.44590290622280604, 0.3199081062494522, 0.0, 0.10819418755438784],
-    [
-      -0.44590290622280604, 0.3199081062494522, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.44590290622280604, 0.3199081062494522, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, -0.35114107790409155, -0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, -0.35114107790409155, -0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, -0.35114107790409155, -0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, -0.35114107790409155, -0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, -0.35114107790409155, 0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, -0.35114107790409155, 0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, -0.28867513459481287, -0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, -0.28867513459481287, -0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, -0.28867513459481287, -0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, -0.28867513459481287, -0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, -0.28867513459481287, 0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, -0.28867513459481287, 0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, -0.07540306376184475, -0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, -0.07540306376184475, -0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, -0.07540306376184475, -0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, -0.07540306376184475, -0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, -0.07540306376184475, 0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, -0.07540306376184475, 0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, -0.012937120452566061, -0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, -0.012937120452566061, -0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, -0.012937120452566061, 0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, -0.012937120452566061, 0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, -0.012937120452566061, 0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, -0.012937120452566061, 0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, 0.012937120452566061, -0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, 0.012937120452566061, -0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, 0.012937120452566061, -0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, 0.012937120452566061, -0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, 0.012937120452566061, 0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, 0.012937120452566061, 0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, 0.07540306376184475, -0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, 0.07540306376184475, -0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, 0.07540306376184475, 0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, 0.07540306376184475, 0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      -0.3918058124456122, 0.07540306376184475, 0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, 0.07540306376184475, 0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, 0.28867513459481287, -0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, 0.28867513459481287, -0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, 0.28867513459481287, 0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, 0.28867513459481287, 0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      -0.3918058124456122, 0.28867513459481287, 0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, 0.28867513459481287, 0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      -0.3918058124456122, 0.35114107790409155, -0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, 0.35114107790409155, -0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      -0.3918058124456122, 0.35114107790409155, 0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, 0.35114107790409155, 0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      -0.3918058124456122, 0.35114107790409155, 0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3918058124456122, 0.35114107790409155, 0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, -0.395311170011297, -0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, -0.395311170011297, -0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, -0.395311170011297, -0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, -0.395311170011297, -0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, -0.395311170011297, 0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, -0.395311170011297, 0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, -0.3328452267020183, -0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, -0.3328452267020183, -0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, -0.3328452267020183, -0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, -0.3328452267020183, -0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, -0.3328452267020183, 0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, -0.3328452267020183, 0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, -0.11957315586905012, -0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, -0.11957315586905012, -0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, -0.11957315586905012, 0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, -0.11957315586905012, 0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, -0.11957315586905012, 0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, -0.11957315586905012, 0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, -0.057107212559771456, -0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, -0.057107212559771456, -0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, -0.057107212559771456, 0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, -0.057107212559771456, 0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, -0.057107212559771456, 0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, -0.057107212559771456, 0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, 0.057107212559771456, -0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, 0.057107212559771456, -0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, 0.057107212559771456, -0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, 0.057107212559771456, -0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, 0.057107212559771456, 0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, 0.057107212559771456, 0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, 0.11957315586905012, -0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, 0.11957315586905012, -0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, 0.11957315586905012, -0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, 0.11957315586905012, -0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      -0.3153009687409354, 0.11957315586905012, 0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, 0.11957315586905012, 0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, 0.3328452267020183, -0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, 0.3328452267020183, -0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, 0.3328452267020183, 0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, 0.3328452267020183, 0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      -0.3153009687409354, 0.3328452267020183, 0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, 0.3328452267020183, 0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      -0.3153009687409354, 0.395311170011297, -0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, 0.395311170011297, -0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      -0.3153009687409354, 0.395311170011297, 0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, 0.395311170011297, 0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      -0.3153009687409354, 0.395311170011297, 0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      -0.3153009687409354, 0.395311170011297, 0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      -0.2612038749637414, -0.42654414166593624, -0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, -0.42654414166593624, -0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, -0.42654414166593624, 0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, -0.42654414166593624, 0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, -0.42654414166593624, 0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, -0.42654414166593624, 0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, -0.301612255047379, -0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, -0.301612255047379, -0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, -0.301612255047379, -0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, -0.301612255047379, -0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, -0.301612255047379, 0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, -0.301612255047379, 0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, -0.21327207083296812, -0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, -0.21327207083296812, -0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, -0.21327207083296812, 0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, -0.21327207083296812, 0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, -0.21327207083296812, 0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, -0.21327207083296812, 0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, -0.08834018421441078, -0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, -0.08834018421441078, -0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, -0.08834018421441078, 0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, -0.08834018421441078, 0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, -0.08834018421441078, 0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, -0.08834018421441078, 0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, 0.08834018421441078, -0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, 0.08834018421441078, -0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, 0.08834018421441078, -0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, 0.08834018421441078, -0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, 0.08834018421441078, 0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, 0.08834018421441078, 0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, 0.21327207083296812, -0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, 0.21327207083296812, -0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, 0.21327207083296812, -0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, 0.21327207083296812, -0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      -0.2612038749637414, 0.21327207083296812, 0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, 0.21327207083296812, 0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, 0.301612255047379, -0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, 0.301612255047379, -0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, 0.301612255047379, 0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, 0.301612255047379, 0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      -0.2612038749637414, 0.301612255047379, 0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, 0.301612255047379, 0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      -0.2612038749637414, 0.42654414166593624, -0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, 0.42654414166593624, -0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      -0.2612038749637414, 0.42654414166593624, -0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, 0.42654414166593624, -0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      -0.2612038749637414, 0.42654414166593624, 0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      -0.2612038749637414, 0.42654414166593624, 0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, -0.43948126211850236, -0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      -0.23879612503625858, -0.43948126211850236, -0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      -0.23879612503625858, -0.43948126211850236, -0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, -0.43948126211850236, -0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, -0.43948126211850236, 0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, -0.43948126211850236, 0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, -0.3770153188092237, -0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, -0.3770153188092237, -0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, -0.3770153188092237, -0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, -0.3770153188092237, -0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, -0.3770153188092237, 0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, -0.3770153188092237, 0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, -0.07540306376184475, -0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, -0.07540306376184475, -0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [-0.23879612503625858, -0.07540306376184475, -0.012937120452566061, -0.5],
-    [-0.23879612503625858, -0.07540306376184475, -0.012937120452566061, 0.5],
-    [
-      -0.23879612503625858, -0.07540306376184475, 0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, -0.07540306376184475, 0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, -0.012937120452566061, -0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      -0.23879612503625858, -0.012937120452566061, -0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [-0.23879612503625858, -0.012937120452566061, 0.07540306376184475, -0.5],
-    [-0.23879612503625858, -0.012937120452566061, 0.07540306376184475, 0.5],
-    [
-      -0.23879612503625858, -0.012937120452566061, 0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, -0.012937120452566061, 0.395311170011297,
-      0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, 0.012937120452566061, -0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, 0.012937120452566061, -0.395311170011297,
-      0.3153009687409354,
-    ],
-    [-0.23879612503625858, 0.012937120452566061, -0.07540306376184475, -0.5],
-    [-0.23879612503625858, 0.012937120452566061, -0.07540306376184475, 0.5],
-    [
-      -0.23879612503625858, 0.012937120452566061, 0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      -0.23879612503625858, 0.012937120452566061, 0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [
-      -0.23879612503625858, 0.07540306376184475, -0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, 0.07540306376184475, -0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [-0.23879612503625858, 0.07540306376184475, 0.012937120452566061, -0.5],
-    [-0.23879612503625858, 0.07540306376184475, 0.012937120452566061, 0.5],
-    [
-      -0.23879612503625858, 0.07540306376184475, 0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, 0.07540306376184475, 0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, 0.3770153188092237, -0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, 0.3770153188092237, -0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, 0.3770153188092237, 0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, 0.3770153188092237, 0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      -0.23879612503625858, 0.3770153188092237, 0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, 0.3770153188092237, 0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      -0.23879612503625858, 0.43948126211850236, -0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, 0.43948126211850236, -0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      -0.23879612503625858, 0.43948126211850236, 0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, 0.43948126211850236, 0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      -0.23879612503625858, 0.43948126211850236, 0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      -0.23879612503625858, 0.43948126211850236, 0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      -0.20710678118654752, -0.395311170011297, -0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, -0.395311170011297, -0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, -0.395311170011297, 0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, -0.395311170011297, 0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, -0.395311170011297, 0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, -0.395311170011297, 0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, -0.3328452267020183, -0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, -0.3328452267020183, -0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, -0.3328452267020183, 0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, -0.3328452267020183, 0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, -0.3328452267020183, 0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, -0.3328452267020183, 0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, -0.24450504248760746, -0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, -0.24450504248760746, -0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, -0.24450504248760746, 0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, -0.24450504248760746, 0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, -0.24450504248760746, 0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, -0.24450504248760746, 0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, -0.18203909917832883, -0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, -0.18203909917832883, -0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, -0.18203909917832883, 0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, -0.18203909917832883, 0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, -0.18203909917832883, 0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, -0.18203909917832883, 0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, 0.18203909917832883, -0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, 0.18203909917832883, -0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, 0.18203909917832883, -0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, 0.18203909917832883, -0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, 0.18203909917832883, 0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, 0.18203909917832883, 0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, 0.24450504248760746, -0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, 0.24450504248760746, -0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, 0.24450504248760746, -0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, 0.24450504248760746, -0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      -0.20710678118654752, 0.24450504248760746, 0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, 0.24450504248760746, 0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, 0.3328452267020183, -0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, 0.3328452267020183, -0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, 0.3328452267020183, -0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, 0.3328452267020183, -0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      -0.20710678118654752, 0.3328452267020183, 0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, 0.3328452267020183, 0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      -0.20710678118654752, 0.395311170011297, -0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, 0.395311170011297, -0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      -0.20710678118654752, 0.395311170011297, -0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, 0.395311170011297, -0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      -0.20710678118654752, 0.395311170011297, 0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      -0.20710678118654752, 0.395311170011297, 0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      -0.18469903125906462, -0.4707142337731417, -0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      -0.18469903125906462, -0.4707142337731417, -0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      -0.18469903125906462, -0.4707142337731417, 0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, -0.4707142337731417, 0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, -0.4707142337731417, 0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, -0.4707142337731417, 0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, -0.34578234715458434, -0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, -0.34578234715458434, -0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, -0.34578234715458434, -0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, -0.34578234715458434, -0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, -0.34578234715458434, 0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, -0.34578234715458434, 0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, -0.16910197872576277, -0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, -0.16910197872576277, -0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [-0.18469903125906462, -0.16910197872576277, -0.012937120452566061, -0.5],
-    [-0.18469903125906462, -0.16910197872576277, -0.012937120452566061, 0.5],
-    [
-      -0.18469903125906462, -0.16910197872576277, 0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, -0.16910197872576277, 0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, -0.04417009210720539, -0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      -0.18469903125906462, -0.04417009210720539, -0.514884325880347,
-      0.10819418755438784,
-    ],
-    [-0.18469903125906462, -0.04417009210720539, 0.16374324797625556, -0.5],
-    [-0.18469903125906462, -0.04417009210720539, 0.16374324797625556, 0.5],
-    [
-      -0.18469903125906462, -0.04417009210720539, 0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, -0.04417009210720539, 0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, 0.04417009210720539, -0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, 0.04417009210720539, -0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [-0.18469903125906462, 0.04417009210720539, -0.16374324797625556, -0.5],
-    [-0.18469903125906462, 0.04417009210720539, -0.16374324797625556, 0.5],
-    [
-      -0.18469903125906462, 0.04417009210720539, 0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      -0.18469903125906462, 0.04417009210720539, 0.514884325880347,
-      0.10819418755438784,
-    ],
-    [
-      -0.18469903125906462, 0.16910197872576277, -0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, 0.16910197872576277, -0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [-0.18469903125906462, 0.16910197872576277, 0.012937120452566061, -0.5],
-    [-0.18469903125906462, 0.16910197872576277, 0.012937120452566061, 0.5],
-    [
-      -0.18469903125906462, 0.16910197872576277, 0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, 0.16910197872576277, 0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, 0.34578234715458434, -0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, 0.34578234715458434, -0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, 0.34578234715458434, 0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, 0.34578234715458434, 0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      -0.18469903125906462, 0.34578234715458434, 0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, 0.34578234715458434, 0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      -0.18469903125906462, 0.4707142337731417, -0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, 0.4707142337731417, -0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      -0.18469903125906462, 0.4707142337731417, -0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, 0.4707142337731417, -0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      -0.18469903125906462, 0.4707142337731417, 0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      -0.18469903125906462, 0.4707142337731417, 0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, -0.43948126211850236, -0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, -0.43948126211850236, -0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, -0.43948126211850236, 0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, -0.43948126211850236, 0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, -0.43948126211850236, 0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, -0.43948126211850236, 0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, -0.3770153188092237, -0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, -0.3770153188092237, -0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, -0.3770153188092237, 0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, -0.3770153188092237, 0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, -0.3770153188092237, 0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, -0.3770153188092237, 0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, -0.2003349503804021, -0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, -0.2003349503804021, -0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [-0.1306019374818707, -0.2003349503804021, 0.07540306376184475, -0.5],
-    [-0.1306019374818707, -0.2003349503804021, 0.07540306376184475, 0.5],
-    [
-      -0.1306019374818707, -0.2003349503804021, 0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, -0.2003349503804021, 0.395311170011297,
-      0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, -0.13786900707112343, -0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, -0.13786900707112343, -0.514884325880347,
-      0.10819418755438784,
-    ],
-    [-0.1306019374818707, -0.13786900707112343, 0.16374324797625556, -0.5],
-    [-0.1306019374818707, -0.13786900707112343, 0.16374324797625556, 0.5],
-    [
-      -0.1306019374818707, -0.13786900707112343, 0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, -0.13786900707112343, 0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, 0.13786900707112343, -0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, 0.13786900707112343, -0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [-0.1306019374818707, 0.13786900707112343, -0.16374324797625556, -0.5],
-    [-0.1306019374818707, 0.13786900707112343, -0.16374324797625556, 0.5],
-    [
-      -0.1306019374818707, 0.13786900707112343, 0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, 0.13786900707112343, 0.514884325880347,
-      0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, 0.2003349503804021, -0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, 0.2003349503804021, -0.395311170011297,
-      0.3153009687409354,
-    ],
-    [-0.1306019374818707, 0.2003349503804021, -0.07540306376184475, -0.5],
-    [-0.1306019374818707, 0.2003349503804021, -0.07540306376184475, 0.5],
-    [
-      -0.1306019374818707, 0.2003349503804021, 0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, 0.2003349503804021, 0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, 0.3770153188092237, -0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, 0.3770153188092237, -0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, 0.3770153188092237, -0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, 0.3770153188092237, -0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      -0.1306019374818707, 0.3770153188092237, 0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, 0.3770153188092237, 0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      -0.1306019374818707, 0.43948126211850236, -0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, 0.43948126211850236, -0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      -0.1306019374818707, 0.43948126211850236, -0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, 0.43948126211850236, -0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      -0.1306019374818707, 0.43948126211850236, 0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      -0.1306019374818707, 0.43948126211850236, 0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      -0.10819418755438784, -0.514884325880347, -0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      -0.10819418755438784, -0.514884325880347, -0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      -0.10819418755438784, -0.514884325880347, 0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      -0.10819418755438784, -0.514884325880347, 0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      -0.10819418755438784, -0.514884325880347, 0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, -0.514884325880347, 0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, -0.301612255047379, -0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, -0.301612255047379, -0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, -0.301612255047379, -0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      -0.10819418755438784, -0.301612255047379, -0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      -0.10819418755438784, -0.301612255047379, 0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, -0.301612255047379, 0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, -0.21327207083296812, -0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, -0.21327207083296812, -0.395311170011297,
-      0.3153009687409354,
-    ],
-    [-0.10819418755438784, -0.21327207083296812, -0.07540306376184475, -0.5],
-    [-0.10819418755438784, -0.21327207083296812, -0.07540306376184475, 0.5],
-    [
-      -0.10819418755438784, -0.21327207083296812, 0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      -0.10819418755438784, -0.21327207083296812, 0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [-0.10819418755438784, 0.0, -0.5461172975349864, -0.05409709377719392],
-    [-0.10819418755438784, 0.0, -0.5461172975349864, 0.05409709377719392],
-    [-0.10819418755438784, 0.0, -0.3199081062494522, -0.44590290622280604],
-    [-0.10819418755438784, 0.0, -0.3199081062494522, 0.44590290622280604],
-    [-0.10819418755438784, 0.0, -0.22620919128553418, -0.5],
-    [-0.10819418755438784, 0.0, -0.22620919128553418, 0.5],
-    [-0.10819418755438784, 0.0, 0.22620919128553418, -0.5],
-    [-0.10819418755438784, 0.0, 0.22620919128553418, 0.5],
-    [-0.10819418755438784, 0.0, 0.3199081062494522, -0.44590290622280604],
-    [-0.10819418755438784, 0.0, 0.3199081062494522, 0.44590290622280604],
-    [-0.10819418755438784, 0.0, 0.5461172975349864, -0.05409709377719392],
-    [-0.10819418755438784, 0.0, 0.5461172975349864, 0.05409709377719392],
-    [
-      -0.10819418755438784, 0.21327207083296812, -0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      -0.10819418755438784, 0.21327207083296812, -0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [-0.10819418755438784, 0.21327207083296812, 0.07540306376184475, -0.5],
-    [-0.10819418755438784, 0.21327207083296812, 0.07540306376184475, 0.5],
-    [
-      -0.10819418755438784, 0.21327207083296812, 0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, 0.21327207083296812, 0.395311170011297,
-      0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, 0.301612255047379, -0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, 0.301612255047379, -0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, 0.301612255047379, 0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      -0.10819418755438784, 0.301612255047379, 0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      -0.10819418755438784, 0.301612255047379, 0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, 0.301612255047379, 0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      -0.10819418755438784, 0.514884325880347, -0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, 0.514884325880347, -0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      -0.10819418755438784, 0.514884325880347, -0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      -0.10819418755438784, 0.514884325880347, -0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      -0.10819418755438784, 0.514884325880347, 0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      -0.10819418755438784, 0.514884325880347, 0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.5461172975349864, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.5461172975349864, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [-0.05409709377719392, -0.5461172975349864, 0.0, -0.10819418755438784],
-    [-0.05409709377719392, -0.5461172975349864, 0.0, 0.10819418755438784],
-    [
-      -0.05409709377719392, -0.5461172975349864, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.5461172975349864, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.4836513542257077, -0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.4836513542257077, -0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.4836513542257077, 0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, -0.4836513542257077, 0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, -0.4836513542257077, 0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, -0.4836513542257077, 0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, -0.3328452267020183, -0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, -0.3328452267020183, -0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, -0.3328452267020183, -0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.3328452267020183, -0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.3328452267020183, 0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, -0.3328452267020183, 0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, -0.27037928339273964, -0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, -0.27037928339273964, -0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, -0.27037928339273964, -0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.27037928339273964, -0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.27037928339273964, 0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.27037928339273964, 0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.24450504248760746, -0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, -0.24450504248760746, -0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [-0.05409709377719392, -0.24450504248760746, 0.012937120452566061, -0.5],
-    [-0.05409709377719392, -0.24450504248760746, 0.012937120452566061, 0.5],
-    [
-      -0.05409709377719392, -0.24450504248760746, 0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, -0.24450504248760746, 0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, -0.18203909917832883, -0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, -0.18203909917832883, -0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [-0.05409709377719392, -0.18203909917832883, -0.16374324797625556, -0.5],
-    [-0.05409709377719392, -0.18203909917832883, -0.16374324797625556, 0.5],
-    [
-      -0.05409709377719392, -0.18203909917832883, 0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      -0.05409709377719392, -0.18203909917832883, 0.514884325880347,
-      0.10819418755438784,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, -0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, -0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, -0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, -0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [-0.05409709377719392, -0.09369891496391802, -0.22620919128553418, -0.5],
-    [-0.05409709377719392, -0.09369891496391802, -0.22620919128553418, 0.5],
-    [-0.05409709377719392, -0.09369891496391802, 0.22620919128553418, -0.5],
-    [-0.05409709377719392, -0.09369891496391802, 0.22620919128553418, 0.5],
-    [
-      -0.05409709377719392, -0.09369891496391802, 0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, 0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, 0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, -0.09369891496391802, 0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, -0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, -0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, -0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, -0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [-0.05409709377719392, 0.09369891496391802, -0.22620919128553418, -0.5],
-    [-0.05409709377719392, 0.09369891496391802, -0.22620919128553418, 0.5],
-    [-0.05409709377719392, 0.09369891496391802, 0.22620919128553418, -0.5],
-    [-0.05409709377719392, 0.09369891496391802, 0.22620919128553418, 0.5],
-    [
-      -0.05409709377719392, 0.09369891496391802, 0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, 0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, 0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.09369891496391802, 0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.18203909917832883, -0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      -0.05409709377719392, 0.18203909917832883, -0.514884325880347,
-      0.10819418755438784,
-    ],
-    [-0.05409709377719392, 0.18203909917832883, 0.16374324797625556, -0.5],
-    [-0.05409709377719392, 0.18203909917832883, 0.16374324797625556, 0.5],
-    [
-      -0.05409709377719392, 0.18203909917832883, 0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, 0.18203909917832883, 0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, 0.24450504248760746, -0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, 0.24450504248760746, -0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [-0.05409709377719392, 0.24450504248760746, -0.012937120452566061, -0.5],
-    [-0.05409709377719392, 0.24450504248760746, -0.012937120452566061, 0.5],
-    [
-      -0.05409709377719392, 0.24450504248760746, 0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, 0.24450504248760746, 0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, 0.27037928339273964, -0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.27037928339273964, -0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.27037928339273964, 0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.27037928339273964, 0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.27037928339273964, 0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, 0.27037928339273964, 0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      -0.05409709377719392, 0.3328452267020183, -0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, 0.3328452267020183, -0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, 0.3328452267020183, 0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.3328452267020183, 0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      -0.05409709377719392, 0.3328452267020183, 0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, 0.3328452267020183, 0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      -0.05409709377719392, 0.4836513542257077, -0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, 0.4836513542257077, -0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      -0.05409709377719392, 0.4836513542257077, -0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, 0.4836513542257077, -0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      -0.05409709377719392, 0.4836513542257077, 0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.4836513542257077, 0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.5461172975349864, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.5461172975349864, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [-0.05409709377719392, 0.5461172975349864, 0.0, -0.10819418755438784],
-    [-0.05409709377719392, 0.5461172975349864, 0.0, 0.10819418755438784],
-    [
-      -0.05409709377719392, 0.5461172975349864, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      -0.05409709377719392, 0.5461172975349864, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.5461172975349864, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.5461172975349864, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [0.05409709377719392, -0.5461172975349864, 0.0, -0.10819418755438784],
-    [0.05409709377719392, -0.5461172975349864, 0.0, 0.10819418755438784],
-    [
-      0.05409709377719392, -0.5461172975349864, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.5461172975349864, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.4836513542257077, -0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.4836513542257077, -0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.4836513542257077, 0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, -0.4836513542257077, 0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, -0.4836513542257077, 0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, -0.4836513542257077, 0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, -0.3328452267020183, -0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, -0.3328452267020183, -0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, -0.3328452267020183, -0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.3328452267020183, -0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.3328452267020183, 0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, -0.3328452267020183, 0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, -0.27037928339273964, -0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, -0.27037928339273964, -0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, -0.27037928339273964, -0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.27037928339273964, -0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.27037928339273964, 0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.27037928339273964, 0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.24450504248760746, -0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, -0.24450504248760746, -0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [0.05409709377719392, -0.24450504248760746, 0.012937120452566061, -0.5],
-    [0.05409709377719392, -0.24450504248760746, 0.012937120452566061, 0.5],
-    [
-      0.05409709377719392, -0.24450504248760746, 0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, -0.24450504248760746, 0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, -0.18203909917832883, -0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, -0.18203909917832883, -0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [0.05409709377719392, -0.18203909917832883, -0.16374324797625556, -0.5],
-    [0.05409709377719392, -0.18203909917832883, -0.16374324797625556, 0.5],
-    [
-      0.05409709377719392, -0.18203909917832883, 0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      0.05409709377719392, -0.18203909917832883, 0.514884325880347,
-      0.10819418755438784,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, -0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, -0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, -0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, -0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [0.05409709377719392, -0.09369891496391802, -0.22620919128553418, -0.5],
-    [0.05409709377719392, -0.09369891496391802, -0.22620919128553418, 0.5],
-    [0.05409709377719392, -0.09369891496391802, 0.22620919128553418, -0.5],
-    [0.05409709377719392, -0.09369891496391802, 0.22620919128553418, 0.5],
-    [
-      0.05409709377719392, -0.09369891496391802, 0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, 0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, 0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, -0.09369891496391802, 0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, -0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, -0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, -0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, -0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [0.05409709377719392, 0.09369891496391802, -0.22620919128553418, -0.5],
-    [0.05409709377719392, 0.09369891496391802, -0.22620919128553418, 0.5],
-    [0.05409709377719392, 0.09369891496391802, 0.22620919128553418, -0.5],
-    [0.05409709377719392, 0.09369891496391802, 0.22620919128553418, 0.5],
-    [
-      0.05409709377719392, 0.09369891496391802, 0.3199081062494522,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, 0.3199081062494522,
-      0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, 0.5461172975349864,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.09369891496391802, 0.5461172975349864,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.18203909917832883, -0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      0.05409709377719392, 0.18203909917832883, -0.514884325880347,
-      0.10819418755438784,
-    ],
-    [0.05409709377719392, 0.18203909917832883, 0.16374324797625556, -0.5],
-    [0.05409709377719392, 0.18203909917832883, 0.16374324797625556, 0.5],
-    [
-      0.05409709377719392, 0.18203909917832883, 0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, 0.18203909917832883, 0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, 0.24450504248760746, -0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, 0.24450504248760746, -0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [0.05409709377719392, 0.24450504248760746, -0.012937120452566061, -0.5],
-    [0.05409709377719392, 0.24450504248760746, -0.012937120452566061, 0.5],
-    [
-      0.05409709377719392, 0.24450504248760746, 0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, 0.24450504248760746, 0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, 0.27037928339273964, -0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.27037928339273964, -0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.27037928339273964, 0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.27037928339273964, 0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.27037928339273964, 0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, 0.27037928339273964, 0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      0.05409709377719392, 0.3328452267020183, -0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, 0.3328452267020183, -0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, 0.3328452267020183, 0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.3328452267020183, 0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      0.05409709377719392, 0.3328452267020183, 0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, 0.3328452267020183, 0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      0.05409709377719392, 0.4836513542257077, -0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, 0.4836513542257077, -0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      0.05409709377719392, 0.4836513542257077, -0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, 0.4836513542257077, -0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      0.05409709377719392, 0.4836513542257077, 0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.4836513542257077, 0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.5461172975349864, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.5461172975349864, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [0.05409709377719392, 0.5461172975349864, 0.0, -0.10819418755438784],
-    [0.05409709377719392, 0.5461172975349864, 0.0, 0.10819418755438784],
-    [
-      0.05409709377719392, 0.5461172975349864, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.05409709377719392, 0.5461172975349864, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      0.10819418755438784, -0.514884325880347, -0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      0.10819418755438784, -0.514884325880347, -0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      0.10819418755438784, -0.514884325880347, 0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      0.10819418755438784, -0.514884325880347, 0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      0.10819418755438784, -0.514884325880347, 0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, -0.514884325880347, 0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, -0.301612255047379, -0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, -0.301612255047379, -0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, -0.301612255047379, -0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      0.10819418755438784, -0.301612255047379, -0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      0.10819418755438784, -0.301612255047379, 0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, -0.301612255047379, 0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, -0.21327207083296812, -0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, -0.21327207083296812, -0.395311170011297,
-      0.3153009687409354,
-    ],
-    [0.10819418755438784, -0.21327207083296812, -0.07540306376184475, -0.5],
-    [0.10819418755438784, -0.21327207083296812, -0.07540306376184475, 0.5],
-    [
-      0.10819418755438784, -0.21327207083296812, 0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      0.10819418755438784, -0.21327207083296812, 0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [0.10819418755438784, 0.0, -0.5461172975349864, -0.05409709377719392],
-    [0.10819418755438784, 0.0, -0.5461172975349864, 0.05409709377719392],
-    [0.10819418755438784, 0.0, -0.3199081062494522, -0.44590290622280604],
-    [0.10819418755438784, 0.0, -0.3199081062494522, 0.44590290622280604],
-    [0.10819418755438784, 0.0, -0.22620919128553418, -0.5],
-    [0.10819418755438784, 0.0, -0.22620919128553418, 0.5],
-    [0.10819418755438784, 0.0, 0.22620919128553418, -0.5],
-    [0.10819418755438784, 0.0, 0.22620919128553418, 0.5],
-    [0.10819418755438784, 0.0, 0.3199081062494522, -0.44590290622280604],
-    [0.10819418755438784, 0.0, 0.3199081062494522, 0.44590290622280604],
-    [0.10819418755438784, 0.0, 0.5461172975349864, -0.05409709377719392],
-    [0.10819418755438784, 0.0, 0.5461172975349864, 0.05409709377719392],
-    [
-      0.10819418755438784, 0.21327207083296812, -0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      0.10819418755438784, 0.21327207083296812, -0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [0.10819418755438784, 0.21327207083296812, 0.07540306376184475, -0.5],
-    [0.10819418755438784, 0.21327207083296812, 0.07540306376184475, 0.5],
-    [
-      0.10819418755438784, 0.21327207083296812, 0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, 0.21327207083296812, 0.395311170011297,
-      0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, 0.301612255047379, -0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, 0.301612255047379, -0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, 0.301612255047379, 0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      0.10819418755438784, 0.301612255047379, 0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      0.10819418755438784, 0.301612255047379, 0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, 0.301612255047379, 0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      0.10819418755438784, 0.514884325880347, -0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, 0.514884325880347, -0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      0.10819418755438784, 0.514884325880347, -0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      0.10819418755438784, 0.514884325880347, -0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      0.10819418755438784, 0.514884325880347, 0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      0.10819418755438784, 0.514884325880347, 0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      0.1306019374818707, -0.43948126211850236, -0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      0.1306019374818707, -0.43948126211850236, -0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      0.1306019374818707, -0.43948126211850236, 0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, -0.43948126211850236, 0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, -0.43948126211850236, 0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, -0.43948126211850236, 0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, -0.3770153188092237, -0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, -0.3770153188092237, -0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, -0.3770153188092237, 0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, -0.3770153188092237, 0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, -0.3770153188092237, 0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, -0.3770153188092237, 0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, -0.2003349503804021, -0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, -0.2003349503804021, -0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [0.1306019374818707, -0.2003349503804021, 0.07540306376184475, -0.5],
-    [0.1306019374818707, -0.2003349503804021, 0.07540306376184475, 0.5],
-    [
-      0.1306019374818707, -0.2003349503804021, 0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, -0.2003349503804021, 0.395311170011297,
-      0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, -0.13786900707112343, -0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      0.1306019374818707, -0.13786900707112343, -0.514884325880347,
-      0.10819418755438784,
-    ],
-    [0.1306019374818707, -0.13786900707112343, 0.16374324797625556, -0.5],
-    [0.1306019374818707, -0.13786900707112343, 0.16374324797625556, 0.5],
-    [
-      0.1306019374818707, -0.13786900707112343, 0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, -0.13786900707112343, 0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, 0.13786900707112343, -0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, 0.13786900707112343, -0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [0.1306019374818707, 0.13786900707112343, -0.16374324797625556, -0.5],
-    [0.1306019374818707, 0.13786900707112343, -0.16374324797625556, 0.5],
-    [
-      0.1306019374818707, 0.13786900707112343, 0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      0.1306019374818707, 0.13786900707112343, 0.514884325880347,
-      0.10819418755438784,
-    ],
-    [
-      0.1306019374818707, 0.2003349503804021, -0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, 0.2003349503804021, -0.395311170011297,
-      0.3153009687409354,
-    ],
-    [0.1306019374818707, 0.2003349503804021, -0.07540306376184475, -0.5],
-    [0.1306019374818707, 0.2003349503804021, -0.07540306376184475, 0.5],
-    [
-      0.1306019374818707, 0.2003349503804021, 0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, 0.2003349503804021, 0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, 0.3770153188092237, -0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, 0.3770153188092237, -0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, 0.3770153188092237, -0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, 0.3770153188092237, -0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      0.1306019374818707, 0.3770153188092237, 0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, 0.3770153188092237, 0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      0.1306019374818707, 0.43948126211850236, -0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, 0.43948126211850236, -0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      0.1306019374818707, 0.43948126211850236, -0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, 0.43948126211850236, -0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      0.1306019374818707, 0.43948126211850236, 0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      0.1306019374818707, 0.43948126211850236, 0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, -0.4707142337731417, -0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, -0.4707142337731417, -0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, -0.4707142337731417, 0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, -0.4707142337731417, 0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, -0.4707142337731417, 0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, -0.4707142337731417, 0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, -0.34578234715458434, -0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, -0.34578234715458434, -0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, -0.34578234715458434, -0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, -0.34578234715458434, -0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, -0.34578234715458434, 0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, -0.34578234715458434, 0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, -0.16910197872576277, -0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, -0.16910197872576277, -0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [0.18469903125906462, -0.16910197872576277, -0.012937120452566061, -0.5],
-    [0.18469903125906462, -0.16910197872576277, -0.012937120452566061, 0.5],
-    [
-      0.18469903125906462, -0.16910197872576277, 0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, -0.16910197872576277, 0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, -0.04417009210720539, -0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, -0.04417009210720539, -0.514884325880347,
-      0.10819418755438784,
-    ],
-    [0.18469903125906462, -0.04417009210720539, 0.16374324797625556, -0.5],
-    [0.18469903125906462, -0.04417009210720539, 0.16374324797625556, 0.5],
-    [
-      0.18469903125906462, -0.04417009210720539, 0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, -0.04417009210720539, 0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, 0.04417009210720539, -0.35114107790409155,
-      -0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, 0.04417009210720539, -0.35114107790409155,
-      0.3918058124456122,
-    ],
-    [0.18469903125906462, 0.04417009210720539, -0.16374324797625556, -0.5],
-    [0.18469903125906462, 0.04417009210720539, -0.16374324797625556, 0.5],
-    [
-      0.18469903125906462, 0.04417009210720539, 0.514884325880347,
-      -0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, 0.04417009210720539, 0.514884325880347,
-      0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, 0.16910197872576277, -0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, 0.16910197872576277, -0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [0.18469903125906462, 0.16910197872576277, 0.012937120452566061, -0.5],
-    [0.18469903125906462, 0.16910197872576277, 0.012937120452566061, 0.5],
-    [
-      0.18469903125906462, 0.16910197872576277, 0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, 0.16910197872576277, 0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, 0.34578234715458434, -0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, 0.34578234715458434, -0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, 0.34578234715458434, 0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, 0.34578234715458434, 0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      0.18469903125906462, 0.34578234715458434, 0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, 0.34578234715458434, 0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      0.18469903125906462, 0.4707142337731417, -0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, 0.4707142337731417, -0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      0.18469903125906462, 0.4707142337731417, -0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, 0.4707142337731417, -0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      0.18469903125906462, 0.4707142337731417, 0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      0.18469903125906462, 0.4707142337731417, 0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      0.20710678118654752, -0.395311170011297, -0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, -0.395311170011297, -0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, -0.395311170011297, 0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, -0.395311170011297, 0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, -0.395311170011297, 0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, -0.395311170011297, 0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, -0.3328452267020183, -0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, -0.3328452267020183, -0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, -0.3328452267020183, 0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, -0.3328452267020183, 0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, -0.3328452267020183, 0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, -0.3328452267020183, 0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, -0.24450504248760746, -0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, -0.24450504248760746, -0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, -0.24450504248760746, 0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, -0.24450504248760746, 0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, -0.24450504248760746, 0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, -0.24450504248760746, 0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, -0.18203909917832883, -0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, -0.18203909917832883, -0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, -0.18203909917832883, 0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, -0.18203909917832883, 0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, -0.18203909917832883, 0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, -0.18203909917832883, 0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, 0.18203909917832883, -0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, 0.18203909917832883, -0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, 0.18203909917832883, -0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, 0.18203909917832883, -0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, 0.18203909917832883, 0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, 0.18203909917832883, 0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, 0.24450504248760746, -0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, 0.24450504248760746, -0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, 0.24450504248760746, -0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, 0.24450504248760746, -0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      0.20710678118654752, 0.24450504248760746, 0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, 0.24450504248760746, 0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, 0.3328452267020183, -0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, 0.3328452267020183, -0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, 0.3328452267020183, -0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, 0.3328452267020183, -0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      0.20710678118654752, 0.3328452267020183, 0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, 0.3328452267020183, 0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      0.20710678118654752, 0.395311170011297, -0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, 0.395311170011297, -0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      0.20710678118654752, 0.395311170011297, -0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, 0.395311170011297, -0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      0.20710678118654752, 0.395311170011297, 0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      0.20710678118654752, 0.395311170011297, 0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, -0.43948126211850236, -0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      0.23879612503625858, -0.43948126211850236, -0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      0.23879612503625858, -0.43948126211850236, -0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, -0.43948126211850236, -0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, -0.43948126211850236, 0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, -0.43948126211850236, 0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, -0.3770153188092237, -0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, -0.3770153188092237, -0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, -0.3770153188092237, -0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, -0.3770153188092237, -0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, -0.3770153188092237, 0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, -0.3770153188092237, 0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, -0.07540306376184475, -0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, -0.07540306376184475, -0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [0.23879612503625858, -0.07540306376184475, -0.012937120452566061, -0.5],
-    [0.23879612503625858, -0.07540306376184475, -0.012937120452566061, 0.5],
-    [
-      0.23879612503625858, -0.07540306376184475, 0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, -0.07540306376184475, 0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, -0.012937120452566061, -0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      0.23879612503625858, -0.012937120452566061, -0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [0.23879612503625858, -0.012937120452566061, 0.07540306376184475, -0.5],
-    [0.23879612503625858, -0.012937120452566061, 0.07540306376184475, 0.5],
-    [
-      0.23879612503625858, -0.012937120452566061, 0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, -0.012937120452566061, 0.395311170011297,
-      0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, 0.012937120452566061, -0.395311170011297,
-      -0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, 0.012937120452566061, -0.395311170011297,
-      0.3153009687409354,
-    ],
-    [0.23879612503625858, 0.012937120452566061, -0.07540306376184475, -0.5],
-    [0.23879612503625858, 0.012937120452566061, -0.07540306376184475, 0.5],
-    [
-      0.23879612503625858, 0.012937120452566061, 0.4707142337731417,
-      -0.18469903125906462,
-    ],
-    [
-      0.23879612503625858, 0.012937120452566061, 0.4707142337731417,
-      0.18469903125906462,
-    ],
-    [
-      0.23879612503625858, 0.07540306376184475, -0.43948126211850236,
-      -0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, 0.07540306376184475, -0.43948126211850236,
-      0.23879612503625858,
-    ],
-    [0.23879612503625858, 0.07540306376184475, 0.012937120452566061, -0.5],
-    [0.23879612503625858, 0.07540306376184475, 0.012937120452566061, 0.5],
-    [
-      0.23879612503625858, 0.07540306376184475, 0.42654414166593624,
-      -0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, 0.07540306376184475, 0.42654414166593624,
-      0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, 0.3770153188092237, -0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, 0.3770153188092237, -0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, 0.3770153188092237, 0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, 0.3770153188092237, 0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      0.23879612503625858, 0.3770153188092237, 0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, 0.3770153188092237, 0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      0.23879612503625858, 0.43948126211850236, -0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, 0.43948126211850236, -0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      0.23879612503625858, 0.43948126211850236, 0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, 0.43948126211850236, 0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      0.23879612503625858, 0.43948126211850236, 0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      0.23879612503625858, 0.43948126211850236, 0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, -0.42654414166593624, -0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, -0.42654414166593624, -0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, -0.42654414166593624, 0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, -0.42654414166593624, 0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, -0.42654414166593624, 0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, -0.42654414166593624, 0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, -0.301612255047379, -0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, -0.301612255047379, -0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, -0.301612255047379, -0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, -0.301612255047379, -0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, -0.301612255047379, 0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, -0.301612255047379, 0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, -0.21327207083296812, -0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, -0.21327207083296812, -0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, -0.21327207083296812, 0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, -0.21327207083296812, 0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, -0.21327207083296812, 0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, -0.21327207083296812, 0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, -0.08834018421441078, -0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, -0.08834018421441078, -0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, -0.08834018421441078, 0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, -0.08834018421441078, 0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, -0.08834018421441078, 0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, -0.08834018421441078, 0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, 0.08834018421441078, -0.28867513459481287,
-      -0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, 0.08834018421441078, -0.28867513459481287,
-      0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, 0.08834018421441078, -0.19497621963089484,
-      -0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, 0.08834018421441078, -0.19497621963089484,
-      0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, 0.08834018421441078, 0.4836513542257077,
-      -0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, 0.08834018421441078, 0.4836513542257077,
-      0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, 0.21327207083296812, -0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, 0.21327207083296812, -0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, 0.21327207083296812, -0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, 0.21327207083296812, -0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      0.2612038749637414, 0.21327207083296812, 0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, 0.21327207083296812, 0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, 0.301612255047379, -0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, 0.301612255047379, -0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, 0.301612255047379, 0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, 0.301612255047379, 0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      0.2612038749637414, 0.301612255047379, 0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, 0.301612255047379, 0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      0.2612038749637414, 0.42654414166593624, -0.16910197872576277,
-      -0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, 0.42654414166593624, -0.16910197872576277,
-      0.18469903125906462,
-    ],
-    [
-      0.2612038749637414, 0.42654414166593624, -0.07540306376184475,
-      -0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, 0.42654414166593624, -0.07540306376184475,
-      0.23879612503625858,
-    ],
-    [
-      0.2612038749637414, 0.42654414166593624, 0.24450504248760746,
-      -0.05409709377719392,
-    ],
-    [
-      0.2612038749637414, 0.42654414166593624, 0.24450504248760746,
-      0.05409709377719392,
-    ],
-    [
-      0.3153009687409354, -0.395311170011297, -0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, -0.395311170011297, -0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, -0.395311170011297, -0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, -0.395311170011297, -0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, -0.395311170011297, 0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, -0.395311170011297, 0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, -0.3328452267020183, -0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, -0.3328452267020183, -0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, -0.3328452267020183, -0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, -0.3328452267020183, -0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, -0.3328452267020183, 0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, -0.3328452267020183, 0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, -0.11957315586905012, -0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, -0.11957315586905012, -0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, -0.11957315586905012, 0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, -0.11957315586905012, 0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, -0.11957315586905012, 0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, -0.11957315586905012, 0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, -0.057107212559771456, -0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, -0.057107212559771456, -0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, -0.057107212559771456, 0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, -0.057107212559771456, 0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, -0.057107212559771456, 0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, -0.057107212559771456, 0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, 0.057107212559771456, -0.3328452267020183,
-      -0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, 0.057107212559771456, -0.3328452267020183,
-      0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, 0.057107212559771456, -0.10663603541648406,
-      -0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, 0.057107212559771456, -0.10663603541648406,
-      0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, 0.057107212559771456, 0.43948126211850236,
-      -0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, 0.057107212559771456, 0.43948126211850236,
-      0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, 0.11957315586905012, -0.3770153188092237,
-      -0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, 0.11957315586905012, -0.3770153188092237,
-      0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, 0.11957315586905012, -0.018295851202073277,
-      -0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, 0.11957315586905012, -0.018295851202073277,
-      0.44590290622280604,
-    ],
-    [
-      0.3153009687409354, 0.11957315586905012, 0.395311170011297,
-      -0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, 0.11957315586905012, 0.395311170011297,
-      0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, 0.3328452267020183, -0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, 0.3328452267020183, -0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, 0.3328452267020183, 0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, 0.3328452267020183, 0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      0.3153009687409354, 0.3328452267020183, 0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, 0.3328452267020183, 0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      0.3153009687409354, 0.395311170011297, -0.21327207083296812,
-      -0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, 0.395311170011297, -0.21327207083296812,
-      0.10819418755438784,
-    ],
-    [
-      0.3153009687409354, 0.395311170011297, 0.012937120452566061,
-      -0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, 0.395311170011297, 0.012937120452566061,
-      0.23879612503625858,
-    ],
-    [
-      0.3153009687409354, 0.395311170011297, 0.2003349503804021,
-      -0.1306019374818707,
-    ],
-    [
-      0.3153009687409354, 0.395311170011297, 0.2003349503804021,
-      0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, -0.35114107790409155, -0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, -0.35114107790409155, -0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, -0.35114107790409155, -0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, -0.35114107790409155, -0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, -0.35114107790409155, 0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, -0.35114107790409155, 0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, -0.28867513459481287, -0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, -0.28867513459481287, -0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, -0.28867513459481287, -0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, -0.28867513459481287, -0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, -0.28867513459481287, 0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, -0.28867513459481287, 0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, -0.07540306376184475, -0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, -0.07540306376184475, -0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, -0.07540306376184475, -0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, -0.07540306376184475, -0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, -0.07540306376184475, 0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, -0.07540306376184475, 0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, -0.012937120452566061, -0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, -0.012937120452566061, -0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, -0.012937120452566061, 0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, -0.012937120452566061, 0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, -0.012937120452566061, 0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, -0.012937120452566061, 0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, 0.012937120452566061, -0.301612255047379,
-      -0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, 0.012937120452566061, -0.301612255047379,
-      0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, 0.012937120452566061, -0.07540306376184475,
-      -0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, 0.012937120452566061, -0.07540306376184475,
-      0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, 0.012937120452566061, 0.3770153188092237,
-      -0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, 0.012937120452566061, 0.3770153188092237,
-      0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, 0.07540306376184475, -0.34578234715458434,
-      -0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, 0.07540306376184475, -0.34578234715458434,
-      0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, 0.07540306376184475, 0.012937120452566061,
-      -0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, 0.07540306376184475, 0.012937120452566061,
-      0.3918058124456122,
-    ],
-    [
-      0.3918058124456122, 0.07540306376184475, 0.3328452267020183,
-      -0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, 0.07540306376184475, 0.3328452267020183,
-      0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, 0.28867513459481287, -0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, 0.28867513459481287, -0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, 0.28867513459481287, 0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, 0.28867513459481287, 0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      0.3918058124456122, 0.28867513459481287, 0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, 0.28867513459481287, 0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      0.3918058124456122, 0.35114107790409155, -0.18203909917832883,
-      -0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, 0.35114107790409155, -0.18203909917832883,
-      0.05409709377719392,
-    ],
-    [
-      0.3918058124456122, 0.35114107790409155, 0.04417009210720539,
-      -0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, 0.35114107790409155, 0.04417009210720539,
-      0.18469903125906462,
-    ],
-    [
-      0.3918058124456122, 0.35114107790409155, 0.13786900707112343,
-      -0.1306019374818707,
-    ],
-    [
-      0.3918058124456122, 0.35114107790409155, 0.13786900707112343,
-      0.1306019374818707,
-    ],
-    [
-      0.44590290622280604, -0.3199081062494522, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, -0.3199081062494522, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [0.44590290622280604, -0.3199081062494522, 0.0, -0.10819418755438784],
-    [0.44590290622280604, -0.3199081062494522, 0.0, 0.10819418755438784],
-    [
-      0.44590290622280604, -0.3199081062494522, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, -0.3199081062494522, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, -0.19497621963089484, -0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, -0.19497621963089484, -0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, -0.19497621963089484, -0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, -0.19497621963089484, -0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, -0.19497621963089484, 0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, -0.19497621963089484, 0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, -0.10663603541648406, -0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, -0.10663603541648406, -0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, -0.10663603541648406, -0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, -0.10663603541648406, -0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, -0.10663603541648406, 0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      0.44590290622280604, -0.10663603541648406, 0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      0.44590290622280604, -0.018295851202073277, -0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, -0.018295851202073277, -0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, -0.018295851202073277, -0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, -0.018295851202073277, -0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, -0.018295851202073277, 0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, -0.018295851202073277, 0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.018295851202073277, -0.3328452267020183,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.018295851202073277, -0.3328452267020183,
-      0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.018295851202073277, 0.11957315586905012,
-      -0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, 0.018295851202073277, 0.11957315586905012,
-      0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, 0.018295851202073277, 0.21327207083296812,
-      -0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, 0.018295851202073277, 0.21327207083296812,
-      0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, 0.10663603541648406, -0.301612255047379,
-      -0.10819418755438784,
-    ],
-    [
-      0.44590290622280604, 0.10663603541648406, -0.301612255047379,
-      0.10819418755438784,
-    ],
-    [
-      0.44590290622280604, 0.10663603541648406, 0.057107212559771456,
-      -0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, 0.10663603541648406, 0.057107212559771456,
-      0.3153009687409354,
-    ],
-    [
-      0.44590290622280604, 0.10663603541648406, 0.24450504248760746,
-      -0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, 0.10663603541648406, 0.24450504248760746,
-      0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, 0.19497621963089484, -0.27037928339273964,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.19497621963089484, -0.27037928339273964,
-      0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.19497621963089484, 0.08834018421441078,
-      -0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, 0.19497621963089484, 0.08834018421441078,
-      0.2612038749637414,
-    ],
-    [
-      0.44590290622280604, 0.19497621963089484, 0.18203909917832883,
-      -0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, 0.19497621963089484, 0.18203909917832883,
-      0.20710678118654752,
-    ],
-    [
-      0.44590290622280604, 0.3199081062494522, -0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.3199081062494522, -0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [0.44590290622280604, 0.3199081062494522, 0.0, -0.10819418755438784],
-    [0.44590290622280604, 0.3199081062494522, 0.0, 0.10819418755438784],
-    [
-      0.44590290622280604, 0.3199081062494522, 0.09369891496391802,
-      -0.05409709377719392,
-    ],
-    [
-      0.44590290622280604, 0.3199081062494522, 0.09369891496391802,
-      0.05409709377719392,
-    ],
-    [0.5, -0.22620919128553418, -0.09369891496391802, -0.05409709377719392],
-    [0.5, -0.22620919128553418, -0.09369891496391802, 0.05409709377719392],
-    [0.5, -0.22620919128553418, 0.0, -0.10819418755438784],
-    [0.5, -0.22620919128553418, 0.0, 0.10819418755438784],
-    [0.5, -0.22620919128553418, 0.09369891496391802, -0.05409709377719392],
-    [0.5, -0.22620919128553418, 0.09369891496391802, 0.05409709377719392],
-    [0.5, -0.16374324797625556, -0.13786900707112343, -0.1306019374818707],
-    [0.5, -0.16374324797625556, -0.13786900707112343, 0.1306019374818707],
-    [0.5, -0.16374324797625556, -0.04417009210720539, -0.18469903125906462],
-    [0.5, -0.16374324797625556, -0.04417009210720539, 0.18469903125906462],
-    [0.5, -0.16374324797625556, 0.18203909917832883, -0.05409709377719392],
-    [0.5, -0.16374324797625556, 0.18203909917832883, 0.05409709377719392],
-    [0.5, -0.07540306376184475, -0.2003349503804021, -0.1306019374818707],
-    [0.5, -0.07540306376184475, -0.2003349503804021, 0.1306019374818707],
-    [0.5, -0.07540306376184475, -0.012937120452566061, -0.23879612503625858],
-    [0.5, -0.07540306376184475, -0.012937120452566061, 0.23879612503625858],
-    [0.5, -0.07540306376184475, 0.21327207083296812, -0.10819418755438784],
-    [0.5, -0.07540306376184475, 0.21327207083296812, 0.10819418755438784],
-    [0.5, -0.012937120452566061, -0.24450504248760746, -0.05409709377719392],
-    [0.5, -0.012937120452566061, -0.24450504248760746, 0.05409709377719392],
-    [0.5, -0.012937120452566061, 0.07540306376184475, -0.23879612503625858],
-    [0.5, -0.012937120452566061, 0.07540306376184475, 0.23879612503625858],
-    [0.5, -0.012937120452566061, 0.16910197872576277, -0.18469903125906462],
-    [0.5, -0.012937120452566061, 0.16910197872576277, 0.18469903125906462],
-    [0.5, 0.012937120452566061, -0.16910197872576277, -0.18469903125906462],
-    [0.5, 0.012937120452566061, -0.16910197872576277, 0.18469903125906462],
-    [0.5, 0.012937120452566061, -0.07540306376184475, -0.23879612503625858],
-    [0.5, 0.012937120452566061, -0.07540306376184475, 0.23879612503625858],
-    [0.5, 0.012937120452566061, 0.24450504248760746, -0.05409709377719392],
-    [0.5, 0.012937120452566061, 0.24450504248760746, 0.05409709377719392],
-    [0.5, 0.07540306376184475, -0.21327207083296812, -0.10819418755438784],
-    [0.5, 0.07540306376184475, -0.21327207083296812, 0.10819418755438784],
-    [0.5, 0.07540306376184475, 0.012937120452566061, -0.23879612503625858],
-    [0.5, 0.07540306376184475, 0.012937120452566061, 0.23879612503625858],
-    [0.5, 0.07540306376184475, 0.2003349503804021, -0.1306019374818707],
-    [0.5, 0.07540306376184475, 0.2003349503804021, 0.1306019374818707],
-    [0.5, 0.16374324797625556, -0.18203909917832883, -0.05409709377719392],
-    [0.5, 0.16374324797625556, -0.18203909917832883, 0.05409709377719392],
-    [0.5, 0.16374324797625556, 0.04417009210720539, -0.18469903125906462],
-    [0.5, 0.16374324797625556, 0.04417009210720539, 0.18469903125906462],
-    [0.5, 0.16374324797625556, 0.13786900707112343, -0.1306019374818707],
-    [0.5, 0.16374324797625556, 0.13786900707112343, 0.1306019374818707],
-    [0.5, 0.22620919128553418, -0.09369891496391802, -0.05409709377719392],
-    [0.5, 0.22620919128553418, -0.09369891496391802, 0.05409709377719392],
-    [0.5, 0.22620919128553418, 0.0, -0.10819418755438784],
-    [0.5, 0.22620919128553418, 0.0, 0.10819418755438784],
-    [0.5, 0.22620919128553418, 0.09369891496391802, -0.05409709377719392],
-    [0.5, 0.22620919128553418, 0.09369891496391802, 0.05409709377719392],
-  ],
-  faces: [
-    [0, 1, 3, 5, 4, 2],
-    [42, 43, 45, 47, 46, 44],
-    [14, 20, 32, 26],
-    [15, 21, 33, 27],
-    [10, 11, 17, 29, 28, 16],
-    [18, 19, 31, 37, 36, 30],
-    [0, 1, 7, 13, 19, 18, 12, 6],
-    [28, 29, 35, 41, 47, 46, 40, 34],
-    [6, 8, 14, 26, 24, 12],
-    [7, 9, 15, 27, 25, 13],
-    [20, 22, 34, 40, 38, 32],
-    [21, 23, 35, 41, 39, 33],
-    [2, 4, 10, 16, 22, 20, 14, 8],
-    [3, 5, 11, 17, 23, 21, 15, 9],
-    [24, 26, 32, 38, 44, 42, 36, 30],
-    [25, 27, 33, 39, 45, 43, 37, 31],
-    [4, 5, 11, 10],
-    [36, 37, 43, 42],
-    [0, 2, 8, 6],
-    [1, 3, 9, 7],
-    [12, 18, 30, 24],
-    [13, 19, 31, 25],
-    [16, 22, 34, 28],
-    [17, 23, 35, 29],
-    [38, 40, 46, 44],
-    [39, 41, 47, 45],
-    [0, 1, 49, 48],
-    [4, 5, 53, 52],
-    [0, 2, 50, 48],
-    [1, 3, 51, 49],
-    [2, 4, 52, 50],
-    [3, 5, 53, 51],
-    [48, 49, 51, 53, 52, 50],
-    [6, 12, 60, 54],
-    [14, 26, 68, 62],
-    [6, 8, 56, 54],
-    [12, 24, 66, 60],
-    [8, 14, 62, 56],
-    [24, 26, 68, 66],
-    [54, 56, 62, 68, 66, 60],
-    [7, 13, 61, 55],
-    [15, 27, 69, 63],
-    [7, 9, 57, 55],
-    [13, 25, 67, 61],
-    [9, 15, 63, 57],
-    [25, 27, 69, 67],
-    [55, 57, 63, 69, 67, 61],
-    [10, 16, 64, 58],
-    [11, 17, 65, 59],
-    [16, 28, 70, 64],
-    [17, 29, 71, 65],
-    [10, 11, 59, 58],
-    [28, 29, 71, 70],
-    [58, 59, 65, 71, 70, 64],
-    [18, 30, 78, 72],
-    [19, 31, 79, 73],
-    [30, 36, 84, 78],
-    [31, 37, 85, 79],
-    [36, 37, 85, 84],
-    [18, 19, 73, 72],
-    [72, 73, 79, 85, 84, 78],
-    [34, 40, 88, 82],
-    [20, 32, 80, 74],
-    [22, 34, 82, 76],
-    [38, 40, 88, 86],
-    [20, 22, 76, 74],
-    [32, 38, 86, 80],
-    [74, 76, 82, 88, 86, 80],
-    [35, 41, 89, 83],
-    [21, 33, 81, 75],
-    [23, 35, 83, 77],
-    [39, 41, 89, 87],
-    [21, 23, 77, 75],
-    [33, 39, 87, 81],
-    [75, 77, 83, 89, 87, 81],
-    [42, 43, 91, 90],
-    [46, 47, 95, 94],
-    [42, 44, 92, 90],
-    [43, 45, 93, 91],
-    [44, 46, 94, 92],
-    [45, 47, 95, 93],
-    [90, 91, 93, 95, 94, 92],
-    [0, 6, 54, 102, 96, 48],
-    [2, 8, 56, 104, 98, 50],
-    [54, 56, 104, 102],
-    [48, 50, 98, 96],
-    [96, 98, 104, 102],
-    [1, 7, 55, 103, 97, 49],
-    [3, 9, 57, 105, 99, 51],
-    [55, 57, 105, 103],
-    [49, 51, 99, 97],
-    [97, 99, 105, 103],
-    [4, 10, 58, 106, 100, 52],
-    [5, 11, 59, 107, 101, 53],
-    [58, 59, 107, 106],
-    [52, 53, 101, 100],
-    [100, 101, 107, 106],
-    [12, 18, 72, 114, 108, 60],
-    [24, 30, 78, 126, 120, 66],
-    [60, 66, 120, 108],
-    [72, 78, 126, 114],
-    [108, 114, 126, 120],
-    [13, 19, 73, 115, 109, 61],
-    [25, 31, 79, 127, 121, 67],
-    [61, 67, 121, 109],
-    [73, 79, 127, 115],
-    [109, 115, 127, 121],
-    [110, 116, 128, 122],
-    [62, 68, 122, 110],
-    [74, 80, 128, 116],
-    [14, 20, 74, 116, 110, 62],
-    [26, 32, 80, 128, 122, 68],
-    [111, 117, 129, 123],
-    [63, 69, 123, 111],
-    [75, 81, 129, 117],
-    [15, 21, 75, 117, 111, 63],
-    [27, 33, 81, 129, 123, 69],
-    [28, 34, 82, 130, 124, 70],
-    [16, 22, 76, 118, 112, 64],
-    [76, 82, 130, 118],
-    [64, 70, 124, 112],
-    [112, 118, 130, 124],
-    [29, 35, 83, 131, 125, 71],
-    [17, 23, 77, 119, 113, 65],
-    [77, 83, 131, 119],
-    [65, 71, 125, 113],
-    [113, 119, 131, 125],
-    [36, 42, 90, 138, 132, 84],
-    [37, 43, 91, 139, 133, 85],
-    [84, 85, 133, 132],
-    [90, 91, 139, 138],
-    [132, 133, 139, 138],
-    [40, 46, 94, 142, 136, 88],
-    [38, 44, 92, 140, 134, 86],
-    [86, 88, 136, 134],
-    [92, 94, 142, 140],
-    [134, 136, 142, 140],
-    [41, 47, 95, 143, 137, 89],
-    [39, 45, 93, 141, 135, 87],
-    [87, 89, 137, 135],
-    [93, 95, 143, 141],
-    [135, 137, 143, 141],
-    [54, 60, 108, 156, 204, 198, 150, 102],
-    [55, 61, 109, 157, 205, 199, 151, 103],
-    [48, 49, 97, 145, 193, 192, 144, 96],
-    [96, 102, 150, 144],
-    [97, 103, 151, 145],
-    [108, 114, 162, 156],
-    [109, 115, 163, 157],
-    [72, 73, 115, 163, 211, 210, 162, 114],
-    [198, 204, 300, 294],
-    [199, 205, 301, 295],
-    [144, 150, 198, 294, 288, 192],
-    [145, 151, 199, 295, 289, 193],
-    [156, 162, 210, 306, 300, 204],
-    [157, 163, 211, 307, 301, 205],
-    [210, 211, 307, 306],
-    [288, 289, 295, 301, 307, 306, 300, 294],
-    [192, 193, 289, 288],
-    [100, 106, 154, 148],
-    [50, 52, 100, 148, 196, 194, 146, 98],
-    [58, 64, 112, 160, 208, 202, 154, 106],
-    [110, 116, 164, 158],
-    [56, 62, 110, 158, 206, 200, 152, 104],
-    [74, 76, 118, 166, 214, 212, 164, 116],
-    [158, 164, 212, 308, 302, 206],
-    [98, 104, 152, 146],
-    [148, 154, 202, 298, 292, 196],
-    [112, 118, 166, 160],
-    [200, 206, 302, 296],
-    [212, 214, 310, 308],
-    [290, 292, 298, 304, 310, 308, 302, 296],
-    [194, 196, 292, 290],
-    [202, 208, 304, 298],
-    [146, 152, 200, 296, 290, 194],
-    [160, 166, 214, 310, 304, 208],
-    [101, 107, 155, 149],
-    [51, 53, 101, 149, 197, 195, 147, 99],
-    [59, 65, 113, 161, 209, 203, 155, 107],
-    [111, 117, 165, 159],
-    [57, 63, 111, 159, 207, 201, 153, 105],
-    [75, 77, 119, 167, 215, 213, 165, 117],
-    [159, 165, 213, 309, 303, 207],
-    [99, 105, 153, 147],
-    [149, 155, 203, 299, 293, 197],
-    [113, 119, 167, 161],
-    [201, 207, 303, 297],
-    [213, 215, 311, 309],
-    [291, 293, 299, 305, 311, 309, 303, 297],
-    [195, 197, 293, 291],
-    [203, 209, 305, 299],
-    [147, 153, 201, 297, 291, 195],
-    [161, 167, 215, 311, 305, 209],
-    [132, 138, 186, 180],
-    [78, 84, 132, 180, 228, 222, 174, 126],
-    [90, 92, 140, 188, 236, 234, 186, 138],
-    [122, 128, 176, 170],
-    [66, 68, 122, 170, 218, 216, 168, 120],
-    [80, 86, 134, 182, 230, 224, 176, 128],
-    [170, 176, 224, 320, 314, 218],
-    [120, 126, 174, 168],
-    [180, 186, 234, 330, 324, 228],
-    [134, 140, 188, 182],
-    [216, 218, 314, 312],
-    [224, 230, 326, 320],
-    [312, 314, 320, 326, 332, 330, 324, 318],
-    [222, 228, 324, 318],
-    [234, 236, 332, 330],
-    [168, 174, 222, 318, 312, 216],
-    [182, 188, 236, 332, 326, 230],
-    [133, 139, 187, 181],
-    [79, 85, 133, 181, 229, 223, 175, 127],
-    [91, 93, 141, 189, 237, 235, 187, 139],
-    [123, 129, 177, 171],
-    [67, 69, 123, 171, 219, 217, 169, 121],
-    [81, 87, 135, 183, 231, 225, 177, 129],
-    [171, 177, 225, 321, 315, 219],
-    [121, 127, 175, 169],
-    [181, 187, 235, 331, 325, 229],
-    [135, 141, 189, 183],
-    [217, 219, 315, 313],
-    [225, 231, 327, 321],
-    [313, 315, 321, 327, 333, 331, 325, 319],
-    [223, 229, 325, 319],
-    [235, 237, 333, 331],
-    [169, 175, 223, 319, 313, 217],
-    [183, 189, 237, 333, 327, 231],
-    [82, 88, 136, 184, 232, 226, 178, 130],
-    [83, 89, 137, 185, 233, 227, 179, 131],
-    [94, 95, 143, 191, 239, 238, 190, 142],
-    [124, 130, 178, 172],
-    [125, 131, 179, 173],
-    [136, 142, 190, 184],
-    [137, 143, 191, 185],
-    [70, 71, 125, 173, 221, 220, 172, 124],
-    [226, 232, 328, 322],
-    [227, 233, 329, 323],
-    [172, 178, 226, 322, 316, 220],
-    [173, 179, 227, 323, 317, 221],
-    [184, 190, 238, 334, 328, 232],
-    [185, 191, 239, 335, 329, 233],
-    [220, 221, 317, 316],
-    [316, 317, 323, 329, 335, 334, 328, 322],
-    [238, 239, 335, 334],
-    [96, 98, 146, 242, 240, 144],
-    [102, 104, 152, 248, 246, 150],
-    [146, 152, 248, 242],
-    [144, 150, 246, 240],
-    [240, 242, 248, 246],
-    [97, 99, 147, 243, 241, 145],
-    [103, 105, 153, 249, 247, 151],
-    [147, 153, 249, 243],
-    [145, 151, 247, 241],
-    [241, 243, 249, 247],
-    [100, 101, 149, 245, 244, 148],
-    [106, 107, 155, 251, 250, 154],
-    [148, 154, 250, 244],
-    [149, 155, 251, 245],
-    [244, 245, 251, 250],
-    [114, 126, 174, 270, 258, 162],
-    [108, 120, 168, 264, 252, 156],
-    [168, 174, 270, 264],
-    [156, 162, 258, 252],
-    [252, 258, 270, 264],
-    [115, 127, 175, 271, 259, 163],
-    [109, 121, 169, 265, 253, 157],
-    [169, 175, 271, 265],
-    [157, 163, 259, 253],
-    [253, 259, 271, 265],
-    [110, 122, 170, 266, 254, 158],
-    [116, 128, 176, 272, 260, 164],
-    [254, 260, 272, 266],
-    [158, 164, 260, 254],
-    [170, 176, 272, 266],
-    [111, 123, 171, 267, 255, 159],
-    [117, 129, 177, 273, 261, 165],
-    [255, 261, 273, 267],
-    [159, 165, 261, 255],
-    [171, 177, 273, 267],
-    [112, 124, 172, 268, 256, 160],
-    [118, 130, 178, 274, 262, 166],
-    [160, 166, 262, 256],
-    [172, 178, 274, 268],
-    [256, 262, 274, 268],
-    [113, 125, 173, 269, 257, 161],
-    [119, 131, 179, 275, 263, 167],
-    [161, 167, 263, 257],
-    [173, 179, 275, 269],
-    [257, 263, 275, 269],
-    [138, 139, 187, 283, 282, 186],
-    [132, 133, 181, 277, 276, 180],
-    [180, 186, 282, 276],
-    [181, 187, 283, 277],
-    [276, 277, 283, 282],
-    [140, 142, 190, 286, 284, 188],
-    [134, 136, 184, 280, 278, 182],
-    [182, 188, 284, 278],
-    [184, 190, 286, 280],
-    [278, 280, 286, 284],
-    [141, 143, 191, 287, 285, 189],
-    [135, 137, 185, 281, 279, 183],
-    [183, 189, 285, 279],
-    [185, 191, 287, 281],
-    [279, 281, 287, 285],
-    [146, 194, 338, 242],
-    [147, 195, 339, 243],
-    [144, 192, 336, 240],
-    [145, 193, 337, 241],
-    [148, 196, 340, 244],
-    [149, 197, 341, 245],
-    [192, 193, 337, 433, 432, 336],
-    [194, 196, 340, 436, 434, 338],
-    [195, 197, 341, 437, 435, 339],
-    [244, 245, 341, 437, 485, 484, 436, 340],
-    [240, 242, 338, 434, 482, 480, 432, 336],
-    [241, 243, 339, 435, 483, 481, 433, 337],
-    [432, 433, 481, 480],
-    [434, 436, 484, 482],
-    [435, 437, 485, 483],
-    [480, 481, 483, 485, 484, 482],
-    [150, 198, 342, 246],
-    [156, 204, 348, 252],
-    [152, 200, 344, 248],
-    [198, 204, 348, 444, 438, 342],
-    [168, 216, 360, 264],
-    [158, 206, 350, 254],
-    [170, 218, 362, 266],
-    [254, 266, 362, 454, 520, 512, 446, 350],
-    [246, 248, 344, 440, 500, 498, 438, 342],
-    [252, 264, 360, 452, 518, 510, 444, 348],
-    [438, 444, 510, 498],
-    [200, 206, 350, 446, 440, 344],
-    [440, 446, 512, 500],
-    [452, 454, 520, 518],
-    [216, 218, 362, 454, 452, 360],
-    [498, 500, 512, 520, 518, 510],
-    [151, 199, 343, 247],
-    [157, 205, 349, 253],
-    [153, 201, 345, 249],
-    [199, 205, 349, 445, 439, 343],
-    [169, 217, 361, 265],
-    [159, 207, 351, 255],
-    [171, 219, 363, 267],
-    [255, 267, 363, 455, 521, 513, 447, 351],
-    [247, 249, 345, 441, 501, 499, 439, 343],
-    [253, 265, 361, 453, 519, 511, 445, 349],
-    [439, 445, 511, 499],
-    [201, 207, 351, 447, 441, 345],
-    [441, 447, 513, 501],
-    [453, 455, 521, 519],
-    [217, 219, 363, 455, 453, 361],
-    [499, 501, 513, 521, 519, 511],
-    [160, 208, 352, 256],
-    [161, 209, 353, 257],
-    [154, 202, 346, 250],
-    [155, 203, 347, 251],
-    [172, 220, 364, 268],
-    [173, 221, 365, 269],
-    [202, 208, 352, 448, 442, 346],
-    [203, 209, 353, 449, 443, 347],
-    [256, 268, 364, 460, 526, 514, 448, 352],
-    [257, 269, 365, 461, 527, 515, 449, 353],
-    [442, 448, 514, 502],
-    [443, 449, 515, 503],
-    [250, 251, 347, 443, 503, 502, 442, 346],
-    [460, 461, 527, 526],
-    [220, 221, 365, 461, 460, 364],
-    [502, 503, 515, 527, 526, 514],
-    [174, 222, 366, 270],
-    [175, 223, 367, 271],
-    [162, 210, 354, 258],
-    [163, 211, 355, 259],
-    [180, 228, 372, 276],
-    [181, 229, 373, 277],
-    [222, 228, 372, 468, 462, 366],
-    [223, 229, 373, 469, 463, 367],
-    [258, 270, 366, 462, 540, 528, 450, 354],
-    [259, 271, 367, 463, 541, 529, 451, 355],
-    [462, 468, 552, 540],
-    [463, 469, 553, 541],
-    [276, 277, 373, 469, 553, 552, 468, 372],
-    [210, 211, 355, 451, 450, 354],
-    [450, 451, 529, 528],
-    [528, 529, 541, 553, 552, 540],
-    [178, 226, 370, 274],
-    [184, 232, 376, 280],
-    [166, 214, 358, 262],
-    [226, 232, 376, 472, 466, 370],
-    [182, 230, 374, 278],
-    [164, 212, 356, 260],
-    [176, 224, 368, 272],
-    [260, 272, 368, 464, 542, 534, 456, 356],
-    [262, 274, 370, 466, 544, 536, 458, 358],
-    [278, 280, 376, 472, 556, 554, 470, 374],
-    [466, 472, 556, 544],
-    [212, 214, 358, 458, 456, 356],
-    [456, 458, 536, 534],
-    [464, 470, 554, 542],
-    [224, 230, 374, 470, 464, 368],
-    [534, 536, 544, 556, 554, 542],
-    [179, 227, 371, 275],
-    [185, 233, 377, 281],
-    [167, 215, 359, 263],
-    [227, 233, 377, 473, 467, 371],
-    [183, 231, 375, 279],
-    [165, 213, 357, 261],
-    [177, 225, 369, 273],
-    [261, 273, 369, 465, 543, 535, 457, 357],
-    [263, 275, 371, 467, 545, 537, 459, 359],
-    [279, 281, 377, 473, 557, 555, 471, 375],
-    [467, 473, 557, 545],
-    [213, 215, 359, 459, 457, 357],
-    [457, 459, 537, 535],
-    [465, 471, 555, 543],
-    [225, 231, 375, 471, 465, 369],
-    [535, 537, 545, 557, 555, 543],
-    [188, 236, 380, 284],
-    [189, 237, 381, 285],
-    [186, 234, 378, 282],
-    [187, 235, 379, 283],
-    [190, 238, 382, 286],
-    [191, 239, 383, 287],
-    [238, 239, 383, 479, 478, 382],
-    [234, 236, 380, 476, 474, 378],
-    [235, 237, 381, 477, 475, 379],
-    [282, 283, 379, 475, 571, 570, 474, 378],
-    [284, 286, 382, 478, 574, 572, 476, 380],
-    [285, 287, 383, 479, 575, 573, 477, 381],
-    [478, 479, 575, 574],
-    [474, 476, 572, 570],
-    [475, 477, 573, 571],
-    [570, 571, 573, 575, 574, 572],
-    [192, 288, 384, 336],
-    [198, 294, 390, 342],
-    [288, 294, 390, 384],
-    [240, 246, 342, 390, 384, 336],
-    [193, 289, 385, 337],
-    [199, 295, 391, 343],
-    [289, 295, 391, 385],
-    [241, 247, 343, 391, 385, 337],
-    [200, 296, 392, 344],
-    [194, 290, 386, 338],
-    [290, 296, 392, 386],
-    [242, 248, 344, 392, 386, 338],
-    [201, 297, 393, 345],
-    [195, 291, 387, 339],
-    [291, 297, 393, 387],
-    [243, 249, 345, 393, 387, 339],
-    [292, 298, 394, 388],
-    [196, 292, 388, 340],
-    [202, 298, 394, 346],
-    [244, 250, 346, 394, 388, 340],
-    [293, 299, 395, 389],
-    [197, 293, 389, 341],
-    [203, 299, 395, 347],
-    [245, 251, 347, 395, 389, 341],
-    [210, 306, 402, 354],
-    [204, 300, 396, 348],
-    [300, 306, 402, 396],
-    [252, 258, 354, 402, 396, 348],
-    [211, 307, 403, 355],
-    [205, 301, 397, 349],
-    [301, 307, 403, 397],
-    [253, 259, 355, 403, 397, 349],
-    [254, 260, 356, 404, 398, 350],
-    [206, 302, 398, 350],
-    [212, 308, 404, 356],
-    [302, 308, 404, 398],
-    [255, 261, 357, 405, 399, 351],
-    [207, 303, 399, 351],
-    [213, 309, 405, 357],
-    [303, 309, 405, 399],
-    [214, 310, 406, 358],
-    [208, 304, 400, 352],
-    [304, 310, 406, 400],
-    [256, 262, 358, 406, 400, 352],
-    [215, 311, 407, 359],
-    [209, 305, 401, 353],
-    [305, 311, 407, 401],
-    [257, 263, 359, 407, 401, 353],
-    [216, 312, 408, 360],
-    [222, 318, 414, 366],
-    [312, 318, 414, 408],
-    [264, 270, 366, 414, 408, 360],
-    [217, 313, 409, 361],
-    [223, 319, 415, 367],
-    [313, 319, 415, 409],
-    [265, 271, 367, 415, 409, 361],
-    [266, 272, 368, 416, 410, 362],
-    [218, 314, 410, 362],
-    [224, 320, 416, 368],
-    [314, 320, 416, 410],
-    [267, 273, 369, 417, 411, 363],
-    [219, 315, 411, 363],
-    [225, 321, 417, 369],
-    [315, 321, 417, 411],
-    [220, 316, 412, 364],
-    [226, 322, 418, 370],
-    [316, 322, 418, 412],
-    [268, 274, 370, 418, 412, 364],
-    [221, 317, 413, 365],
-    [227, 323, 419, 371],
-    [317, 323, 419, 413],
-    [269, 275, 371, 419, 413, 365],
-    [324, 330, 426, 420],
-    [228, 324, 420, 372],
-    [234, 330, 426, 378],
-    [276, 282, 378, 426, 420, 372],
-    [325, 331, 427, 421],
-    [229, 325, 421, 373],
-    [235, 331, 427, 379],
-    [277, 283, 379, 427, 421, 373],
-    [230, 326, 422, 374],
-    [236, 332, 428, 380],
-    [326, 332, 428, 422],
-    [278, 284, 380, 428, 422, 374],
-    [231, 327, 423, 375],
-    [237, 333, 429, 381],
-    [327, 333, 429, 423],
-    [279, 285, 381, 429, 423, 375],
-    [238, 334, 430, 382],
-    [232, 328, 424, 376],
-    [328, 334, 430, 424],
-    [280, 286, 382, 430, 424, 376],
-    [239, 335, 431, 383],
-    [233, 329, 425, 377],
-    [329, 335, 431, 425],
-    [281, 287, 383, 431, 425, 377],
-    [336, 384, 486, 432],
-    [337, 385, 487, 433],
-    [288, 289, 385, 487, 486, 384],
-    [432, 433, 487, 486],
-    [340, 388, 490, 436],
-    [290, 292, 388, 490, 488, 386],
-    [338, 386, 488, 434],
-    [434, 436, 490, 488],
-    [341, 389, 491, 437],
-    [291, 293, 389, 491, 489, 387],
-    [339, 387, 489, 435],
-    [435, 437, 491, 489],
-    [294, 300, 396, 504, 492, 390],
-    [438, 444, 504, 492],
-    [342, 390, 492, 438],
-    [348, 396, 504, 444],
-    [295, 301, 397, 505, 493, 391],
-    [439, 445, 505, 493],
-    [343, 391, 493, 439],
-    [349, 397, 505, 445],
-    [350, 398, 506, 446],
-    [344, 392, 494, 440],
-    [440, 446, 506, 494],
-    [296, 302, 398, 506, 494, 392],
-    [351, 399, 507, 447],
-    [345, 393, 495, 441],
-    [441, 447, 507, 495],
-    [297, 303, 399, 507, 495, 393],
-    [346, 394, 496, 442],
-    [298, 304, 400, 508, 496, 394],
-    [352, 400, 508, 448],
-    [442, 448, 508, 496],
-    [347, 395, 497, 443],
-    [299, 305, 401, 509, 497, 395],
-    [353, 401, 509, 449],
-    [443, 449, 509, 497],
-    [354, 402, 516, 450],
-    [355, 403, 517, 451],
-    [450, 451, 517, 516],
-    [306, 307, 403, 517, 516, 402],
-    [356, 404, 522, 456],
-    [358, 406, 524, 458],
-    [456, 458, 524, 522],
-    [308, 310, 406, 524, 522, 404],
-    [357, 405, 523, 457],
-    [359, 407, 525, 459],
-    [457, 459, 525, 523],
-    [309, 311, 407, 525, 523, 405],
-    [362, 410, 532, 454],
-    [360, 408, 530, 452],
-    [452, 454, 532, 530],
-    [312, 314, 410, 532, 530, 408],
-    [363, 411, 533, 455],
-    [361, 409, 531, 453],
-    [453, 455, 533, 531],
-    [313, 315, 411, 533, 531, 409],
-    [364, 412, 538, 460],
-    [365, 413, 539, 461],
-    [460, 461, 539, 538],
-    [316, 317, 413, 539, 538, 412],
-    [372, 420, 558, 468],
-    [318, 324, 420, 558, 546, 414],
-    [366, 414, 546, 462],
-    [462, 468, 558, 546],
-    [373, 421, 559, 469],
-    [319, 325, 421, 559, 547, 415],
-    [367, 415, 547, 463],
-    [463, 469, 559, 547],
-    [368, 416, 548, 464],
-    [374, 422, 560, 470],
-    [464, 470, 560, 548],
-    [320, 326, 422, 560, 548, 416],
-    [369, 417, 549, 465],
-    [375, 423, 561, 471],
-    [465, 471, 561, 549],
-    [321, 327, 423, 561, 549, 417],
-    [322, 328, 424, 562, 550, 418],
-    [466, 472, 562, 550],
-    [370, 418, 550, 466],
-    [376, 424, 562, 472],
-    [323, 329, 425, 563, 551, 419],
-    [467, 473, 563, 551],
-    [371, 419, 551, 467],
-    [377, 425, 563, 473],
-    [378, 426, 564, 474],
-    [330, 332, 428, 566, 564, 426],
-    [380, 428, 566, 476],
-    [474, 476, 566, 564],
-    [379, 427, 565, 475],
-    [331, 333, 429, 567, 565, 427],
-    [381, 429, 567, 477],
-    [475, 477, 567, 565],
-    [382, 430, 568, 478],
-    [383, 431, 569, 479],
-    [334, 335, 431, 569, 568, 430],
-    [478, 479, 569, 568],
-    [480, 481, 577, 576],
-    [484, 485, 581, 580],
-    [480, 482, 578, 576],
-    [481, 483, 579, 577],
-    [482, 484, 580, 578],
-    [483, 485, 581, 579],
-    [576, 577, 579, 581, 580, 578],
-    [432, 480, 576, 672, 582, 486],
-    [433, 481, 577, 673, 583, 487],
-    [486, 487, 583, 582],
-    [576, 577, 673, 672],
-    [582, 583, 673, 672],
-    [436, 484, 580, 676, 586, 490],
-    [434, 482, 578, 674, 584, 488],
-    [488, 490, 586, 584],
-    [578, 580, 676, 674],
-    [584, 586, 676, 674],
-    [437, 485, 581, 677, 587, 491],
-    [435, 483, 579, 675, 585, 489],
-    [489, 491, 587, 585],
-    [579, 581, 677, 675],
-    [585, 587, 677, 675],
-    [384, 390, 492, 588, 726, 720, 582, 486],
-    [386, 392, 494, 590, 728, 722, 584, 488],
-    [440, 494, 590, 680, 596, 500],
-    [498, 500, 596, 594],
-    [438, 492, 588, 678, 594, 498],
-    [582, 672, 768, 720],
-    [576, 578, 674, 770, 866, 864, 768, 672],
-    [590, 680, 776, 728],
-    [720, 726, 774, 870, 864, 768],
-    [584, 674, 770, 722],
-    [588, 678, 774, 726],
-    [594, 596, 680, 776, 872, 870, 774, 678],
-    [864, 866, 872, 870],
-    [722, 728, 776, 872, 866, 770],
-    [385, 391, 493, 589, 727, 721, 583, 487],
-    [387, 393, 495, 591, 729, 723, 585, 489],
-    [441, 495, 591, 681, 597, 501],
-    [499, 501, 597, 595],
-    [439, 493, 589, 679, 595, 499],
-    [583, 673, 769, 721],
-    [577, 579, 675, 771, 867, 865, 769, 673],
-    [591, 681, 777, 729],
-    [721, 727, 775, 871, 865, 769],
-    [585, 675, 771, 723],
-    [589, 679, 775, 727],
-    [595, 597, 681, 777, 873, 871, 775, 679],
-    [865, 867, 873, 871],
-    [723, 729, 777, 873, 867, 771],
-    [388, 394, 496, 592, 730, 724, 586, 490],
-    [389, 395, 497, 593, 731, 725, 587, 491],
-    [442, 496, 592, 682, 598, 502],
-    [443, 497, 593, 683, 599, 503],
-    [502, 503, 599, 598],
-    [586, 676, 772, 724],
-    [587, 677, 773, 725],
-    [592, 682, 778, 730],
-    [593, 683, 779, 731],
-    [580, 581, 677, 773, 869, 868, 772, 676],
-    [724, 730, 778, 874, 868, 772],
-    [725, 731, 779, 875, 869, 773],
-    [598, 599, 683, 779, 875, 874, 778, 682],
-    [868, 869, 875, 874],
-    [492, 504, 600, 588],
-    [493, 505, 601, 589],
-    [396, 402, 516, 612, 738, 732, 600, 504],
-    [397, 403, 517, 613, 739, 733, 601, 505],
-    [516, 517, 613, 612],
-    [582, 583, 721, 817, 816, 720],
-    [588, 600, 732, 828, 822, 726],
-    [589, 601, 733, 829, 823, 727],
-    [720, 726, 822, 816],
-    [721, 727, 823, 817],
-    [732, 738, 834, 828],
-    [733, 739, 835, 829],
-    [816, 817, 823, 829, 835, 834, 828, 822],
-    [612, 613, 739, 835, 834, 738],
-    [496, 508, 604, 592],
-    [494, 506, 602, 590],
-    [398, 404, 522, 618, 740, 734, 602, 506],
-    [400, 406, 524, 620, 742, 736, 604, 508],
-    [522, 524, 620, 618],
-    [584, 586, 724, 820, 818, 722],
-    [592, 604, 736, 832, 826, 730],
-    [724, 730, 826, 820],
-    [722, 728, 824, 818],
-    [736, 742, 838, 832],
-    [818, 820, 826, 832, 838, 836, 830, 824],
-    [734, 740, 836, 830],
-    [590, 602, 734, 830, 824, 728],
-    [618, 620, 742, 838, 836, 740],
-    [497, 509, 605, 593],
-    [495, 507, 603, 591],
-    [399, 405, 523, 619, 741, 735, 603, 507],
-    [401, 407, 525, 621, 743, 737, 605, 509],
-    [523, 525, 621, 619],
-    [585, 587, 725, 821, 819, 723],
-    [593, 605, 737, 833, 827, 731],
-    [725, 731, 827, 821],
-    [723, 729, 825, 819],
-    [737, 743, 839, 833],
-    [819, 821, 827, 833, 839, 837, 831, 825],
-    [735, 741, 837, 831],
-    [591, 603, 735, 831, 825, 729],
-    [619, 621, 743, 839, 837, 741],
-    [498, 510, 606, 594],
-    [444, 504, 600, 684, 606, 510],
-    [588, 600, 684, 678],
-    [594, 606, 684, 678],
-    [499, 511, 607, 595],
-    [445, 505, 601, 685, 607, 511],
-    [589, 601, 685, 679],
-    [595, 607, 685, 679],
-    [446, 506, 602, 686, 608, 512],
-    [500, 512, 608, 596],
-    [590, 602, 686, 680],
-    [596, 608, 686, 680],
-    [447, 507, 603, 687, 609, 513],
-    [501, 513, 609, 597],
-    [591, 603, 687, 681],
-    [597, 609, 687, 681],
-    [502, 514, 610, 598],
-    [448, 508, 604, 688, 610, 514],
-    [598, 610, 688, 682],
-    [592, 604, 688, 682],
-    [503, 515, 611, 599],
-    [449, 509, 605, 689, 611, 515],
-    [599, 611, 689, 683],
-    [593, 605, 689, 683],
-    [512, 520, 616, 608],
-    [510, 518, 614, 606],
-    [518, 520, 616, 614],
-    [594, 596, 608, 616, 614, 606],
-    [513, 521, 617, 609],
-    [511, 519, 615, 607],
-    [519, 521, 617, 615],
-    [595, 597, 609, 617, 615, 607],
-    [514, 526, 622, 610],
-    [515, 527, 623, 611],
-    [526, 527, 623, 622],
-    [598, 599, 611, 623, 622, 610],
-    [450, 516, 612, 690, 624, 528],
-    [451, 517, 613, 691, 625, 529],
-    [528, 529, 625, 624],
-    [612, 613, 691, 690],
-    [624, 625, 691, 690],
-    [452, 518, 614, 692, 626, 530],
-    [528, 540, 636, 624],
-    [462, 540, 636, 702, 642, 546],
-    [408, 414, 546, 642, 750, 744, 626, 530],
-    [612, 690, 786, 738],
-    [624, 636, 702, 798, 894, 882, 786, 690],
-    [626, 692, 792, 744],
-    [732, 738, 786, 882, 876, 780],
-    [600, 684, 780, 732],
-    [642, 702, 798, 750],
-    [606, 614, 692, 792, 888, 876, 780, 684],
-    [876, 882, 894, 888],
-    [744, 750, 798, 894, 888, 792],
-    [453, 519, 615, 693, 627, 531],
-    [529, 541, 637, 625],
-    [463, 541, 637, 703, 643, 547],
-    [409, 415, 547, 643, 751, 745, 627, 531],
-    [613, 691, 787, 739],
-    [625, 637, 703, 799, 895, 883, 787, 691],
-    [627, 693, 793, 745],
-    [733, 739, 787, 883, 877, 781],
-    [601, 685, 781, 733],
-    [643, 703, 799, 751],
-    [607, 615, 693, 793, 889, 877, 781, 685],
-    [877, 883, 895, 889],
-    [745, 751, 799, 895, 889, 793],
-    [454, 520, 616, 694, 628, 532],
-    [530, 532, 628, 626],
-    [614, 616, 694, 692],
-    [626, 628, 694, 692],
-    [455, 521, 617, 695, 629, 533],
-    [531, 533, 629, 627],
-    [615, 617, 695, 693],
-    [627, 629, 695, 693],
-    [456, 522, 618, 696, 630, 534],
-    [534, 542, 638, 630],
-    [410, 416, 548, 644, 752, 746, 628, 532],
-    [464, 542, 638, 704, 644, 548],
-    [602, 686, 782, 734],
-    [618, 696, 788, 740],
-    [628, 694, 794, 746],
-    [644, 704, 800, 752],
-    [608, 616, 694, 794, 890, 878, 782, 686],
-    [630, 638, 704, 800, 896, 884, 788, 696],
-    [734, 740, 788, 884, 878, 782],
-    [746, 752, 800, 896, 890, 794],
-    [878, 884, 896, 890],
-    [457, 523, 619, 697, 631, 535],
-    [535, 543, 639, 631],
-    [411, 417, 549, 645, 753, 747, 629, 533],
-    [465, 543, 639, 705, 645, 549],
-    [603, 687, 783, 735],
-    [619, 697, 789, 741],
-    [629, 695, 795, 747],
-    [645, 705, 801, 753],
-    [609, 617, 695, 795, 891, 879, 783, 687],
-    [631, 639, 705, 801, 897, 885, 789, 697],
-    [735, 741, 789, 885, 879, 783],
-    [747, 753, 801, 897, 891, 795],
-    [879, 885, 897, 891],
-    [458, 524, 620, 698, 632, 536],
-    [534, 536, 632, 630],
-    [618, 620, 698, 696],
-    [630, 632, 698, 696],
-    [459, 525, 621, 699, 633, 537],
-    [535, 537, 633, 631],
-    [619, 621, 699, 697],
-    [631, 633, 699, 697],
-    [460, 526, 622, 700, 634, 538],
-    [412, 418, 550, 646, 754, 748, 634, 538],
-    [536, 544, 640, 632],
-    [466, 544, 640, 706, 646, 550],
-    [634, 700, 796, 748],
-    [610, 622, 700, 796, 892, 880, 784, 688],
-    [620, 698, 790, 742],
-    [748, 754, 802, 898, 892, 796],
-    [604, 688, 784, 736],
-    [646, 706, 802, 754],
-    [632, 640, 706, 802, 898, 886, 790, 698],
-    [880, 886, 898, 892],
-    [736, 742, 790, 886, 880, 784],
-    [461, 527, 623, 701, 635, 539],
-    [413, 419, 551, 647, 755, 749, 635, 539],
-    [537, 545, 641, 633],
-    [467, 545, 641, 707, 647, 551],
-    [635, 701, 797, 749],
-    [611, 623, 701, 797, 893, 881, 785, 689],
-    [621, 699, 791, 743],
-    [749, 755, 803, 899, 893, 797],
-    [605, 689, 785, 737],
-    [647, 707, 803, 755],
-    [633, 641, 707, 803, 899, 887, 791, 699],
-    [881, 887, 899, 893],
-    [737, 743, 791, 887, 881, 785],
-    [538, 539, 635, 634],
-    [622, 623, 701, 700],
-    [634, 635, 701, 700],
-    [540, 552, 648, 636],
-    [541, 553, 649, 637],
-    [552, 553, 649, 648],
-    [624, 625, 637, 649, 648, 636],
-    [544, 556, 652, 640],
-    [554, 556, 652, 650],
-    [542, 554, 650, 638],
-    [630, 632, 640, 652, 650, 638],
-    [545, 557, 653, 641],
-    [555, 557, 653, 651],
-    [543, 555, 651, 639],
-    [631, 633, 641, 653, 651, 639],
-    [546, 558, 654, 642],
-    [468, 552, 648, 708, 654, 558],
-    [636, 648, 708, 702],
-    [642, 654, 708, 702],
-    [547, 559, 655, 643],
-    [469, 553, 649, 709, 655, 559],
-    [637, 649, 709, 703],
-    [643, 655, 709, 703],
-    [470, 554, 650, 710, 656, 560],
-    [548, 560, 656, 644],
-    [638, 650, 710, 704],
-    [644, 656, 710, 704],
-    [471, 555, 651, 711, 657, 561],
-    [549, 561, 657, 645],
-    [639, 651, 711, 705],
-    [645, 657, 711, 705],
-    [550, 562, 658, 646],
-    [472, 556, 652, 712, 658, 562],
-    [646, 658, 712, 706],
-    [640, 652, 712, 706],
-    [551, 563, 659, 647],
-    [473, 557, 653, 713, 659, 563],
-    [647, 659, 713, 707],
-    [641, 653, 713, 707],
-    [420, 426, 564, 660, 762, 756, 654, 558],
-    [564, 566, 662, 660],
-    [422, 428, 566, 662, 764, 758, 656, 560],
-    [642, 654, 756, 852, 846, 750],
-    [660, 662, 764, 860, 858, 762],
-    [756, 762, 858, 852],
-    [744, 750, 846, 840],
-    [758, 764, 860, 854],
-    [840, 842, 848, 854, 860, 858, 852, 846],
-    [746, 752, 848, 842],
-    [626, 628, 746, 842, 840, 744],
-    [644, 656, 758, 854, 848, 752],
-    [421, 427, 565, 661, 763, 757, 655, 559],
-    [565, 567, 663, 661],
-    [423, 429, 567, 663, 765, 759, 657, 561],
-    [643, 655, 757, 853, 847, 751],
-    [661, 663, 765, 861, 859, 763],
-    [757, 763, 859, 853],
-    [745, 751, 847, 841],
-    [759, 765, 861, 855],
-    [841, 843, 849, 855, 861, 859, 853, 847],
-    [747, 753, 849, 843],
-    [627, 629, 747, 843, 841, 745],
-    [645, 657, 759, 855, 849, 753],
-    [424, 430, 568, 664, 766, 760, 658, 562],
-    [425, 431, 569, 665, 767, 761, 659, 563],
-    [568, 569, 665, 664],
-    [664, 665, 767, 863, 862, 766],
-    [646, 658, 760, 856, 850, 754],
-    [647, 659, 761, 857, 851, 755],
-    [748, 754, 850, 844],
-    [749, 755, 851, 845],
-    [760, 766, 862, 856],
-    [761, 767, 863, 857],
-    [844, 845, 851, 857, 863, 862, 856, 850],
-    [634, 635, 749, 845, 844, 748],
-    [570, 571, 667, 666],
-    [474, 564, 660, 714, 666, 570],
-    [475, 565, 661, 715, 667, 571],
-    [654, 708, 804, 756],
-    [655, 709, 805, 757],
-    [660, 714, 810, 762],
-    [661, 715, 811, 763],
-    [666, 667, 715, 811, 907, 906, 810, 714],
-    [756, 762, 810, 906, 900, 804],
-    [757, 763, 811, 907, 901, 805],
-    [648, 649, 709, 805, 901, 900, 804, 708],
-    [900, 901, 907, 906],
-    [478, 568, 664, 718, 670, 574],
-    [476, 566, 662, 716, 668, 572],
-    [572, 574, 670, 668],
-    [664, 718, 814, 766],
-    [668, 670, 718, 814, 910, 908, 812, 716],
-    [656, 710, 806, 758],
-    [760, 766, 814, 910, 904, 808],
-    [658, 712, 808, 760],
-    [662, 716, 812, 764],
-    [650, 652, 712, 808, 904, 902, 806, 710],
-    [902, 904, 910, 908],
-    [758, 764, 812, 908, 902, 806],
-    [479, 569, 665, 719, 671, 575],
-    [477, 567, 663, 717, 669, 573],
-    [573, 575, 671, 669],
-    [665, 719, 815, 767],
-    [669, 671, 719, 815, 911, 909, 813, 717],
-    [657, 711, 807, 759],
-    [761, 767, 815, 911, 905, 809],
-    [659, 713, 809, 761],
-    [663, 717, 813, 765],
-    [651, 653, 713, 809, 905, 903, 807, 711],
-    [903, 905, 911, 909],
-    [759, 765, 813, 909, 903, 807],
-    [570, 572, 668, 666],
-    [666, 668, 716, 714],
-    [660, 662, 716, 714],
-    [571, 573, 669, 667],
-    [667, 669, 717, 715],
-    [661, 663, 717, 715],
-    [574, 575, 671, 670],
-    [670, 671, 719, 718],
-    [664, 665, 719, 718],
-    [666, 667, 669, 671, 670, 668],
-    [720, 768, 912, 816],
-    [721, 769, 913, 817],
-    [672, 673, 769, 913, 912, 768],
-    [816, 817, 913, 912],
-    [674, 676, 772, 916, 914, 770],
-    [722, 770, 914, 818],
-    [724, 772, 916, 820],
-    [818, 820, 916, 914],
-    [675, 677, 773, 917, 915, 771],
-    [723, 771, 915, 819],
-    [725, 773, 917, 821],
-    [819, 821, 917, 915],
-    [678, 684, 780, 924, 918, 774],
-    [726, 774, 918, 822],
-    [732, 780, 924, 828],
-    [822, 828, 924, 918],
-    [679, 685, 781, 925, 919, 775],
-    [727, 775, 919, 823],
-    [733, 781, 925, 829],
-    [823, 829, 925, 919],
-    [728, 776, 920, 824],
-    [824, 830, 926, 920],
-    [734, 782, 926, 830],
-    [680, 686, 782, 926, 920, 776],
-    [729, 777, 921, 825],
-    [825, 831, 927, 921],
-    [735, 783, 927, 831],
-    [681, 687, 783, 927, 921, 777],
-    [682, 688, 784, 928, 922, 778],
-    [736, 784, 928, 832],
-    [730, 778, 922, 826],
-    [826, 832, 928, 922],
-    [683, 689, 785, 929, 923, 779],
-    [737, 785, 929, 833],
-    [731, 779, 923, 827],
-    [827, 833, 929, 923],
-    [738, 786, 930, 834],
-    [739, 787, 931, 835],
-    [834, 835, 931, 930],
-    [690, 691, 787, 931, 930, 786],
-    [742, 790, 934, 838],
-    [836, 838, 934, 932],
-    [740, 788, 932, 836],
-    [696, 698, 790, 934, 932, 788],
-    [743, 791, 935, 839],
-    [837, 839, 935, 933],
-    [741, 789, 933, 837],
-    [697, 699, 791, 935, 933, 789],
-    [744, 792, 936, 840],
-    [840, 842, 938, 936],
-    [746, 794, 938, 842],
-    [692, 694, 794, 938, 936, 792],
-    [745, 793, 937, 841],
-    [841, 843, 939, 937],
-    [747, 795, 939, 843],
-    [693, 695, 795, 939, 937, 793],
-    [748, 796, 940, 844],
-    [749, 797, 941, 845],
-    [844, 845, 941, 940],
-    [700, 701, 797, 941, 940, 796],
-    [702, 708, 804, 948, 942, 798],
-    [750, 798, 942, 846],
-    [756, 804, 948, 852],
-    [846, 852, 948, 942],
-    [703, 709, 805, 949, 943, 799],
-    [751, 799, 943, 847],
-    [757, 805, 949, 853],
-    [847, 853, 949, 943],
-    [758, 806, 950, 854],
-    [848, 854, 950, 944],
-    [752, 800, 944, 848],
-    [704, 710, 806, 950, 944, 800],
-    [759, 807, 951, 855],
-    [849, 855, 951, 945],
-    [753, 801, 945, 849],
-    [705, 711, 807, 951, 945, 801],
-    [706, 712, 808, 952, 946, 802],
-    [754, 802, 946, 850],
-    [760, 808, 952, 856],
-    [850, 856, 952, 946],
-    [707, 713, 809, 953, 947, 803],
-    [755, 803, 947, 851],
-    [761, 809, 953, 857],
-    [851, 857, 953, 947],
-    [714, 716, 812, 956, 954, 810],
-    [764, 812, 956, 860],
-    [762, 810, 954, 858],
-    [858, 860, 956, 954],
-    [715, 717, 813, 957, 955, 811],
-    [765, 813, 957, 861],
-    [763, 811, 955, 859],
-    [859, 861, 957, 955],
-    [766, 814, 958, 862],
-    [767, 815, 959, 863],
-    [718, 719, 815, 959, 958, 814],
-    [862, 863, 959, 958],
-    [774, 870, 966, 918],
-    [768, 864, 960, 912],
-    [816, 822, 918, 966, 960, 912],
-    [864, 870, 966, 960],
-    [775, 871, 967, 919],
-    [769, 865, 961, 913],
-    [817, 823, 919, 967, 961, 913],
-    [865, 871, 967, 961],
-    [770, 866, 962, 914],
-    [776, 872, 968, 920],
-    [866, 872, 968, 962],
-    [818, 824, 920, 968, 962, 914],
-    [771, 867, 963, 915],
-    [777, 873, 969, 921],
-    [867, 873, 969, 963],
-    [819, 825, 921, 969, 963, 915],
-    [772, 868, 964, 916],
-    [778, 874, 970, 922],
-    [868, 874, 970, 964],
-    [820, 826, 922, 970, 964, 916],
-    [773, 869, 965, 917],
-    [779, 875, 971, 923],
-    [869, 875, 971, 965],
-    [821, 827, 923, 971, 965, 917],
-    [780, 876, 972, 924],
-    [786, 882, 978, 930],
-    [828, 834, 930, 978, 972, 924],
-    [876, 882, 978, 972],
-    [781, 877, 973, 925],
-    [787, 883, 979, 931],
-    [829, 835, 931, 979, 973, 925],
-    [877, 883, 979, 973],
-    [830, 836, 932, 980, 974, 926],
-    [782, 878, 974, 926],
-    [788, 884, 980, 932],
-    [878, 884, 980, 974],
-    [831, 837, 933, 981, 975, 927],
-    [783, 879, 975, 927],
-    [789, 885, 981, 933],
-    [879, 885, 981, 975],
-    [784, 880, 976, 928],
-    [790, 886, 982, 934],
-    [880, 886, 982, 976],
-    [832, 838, 934, 982, 976, 928],
-    [785, 881, 977, 929],
-    [791, 887, 983, 935],
-    [881, 887, 983, 977],
-    [833, 839, 935, 983, 977, 929],
-    [798, 894, 990, 942],
-    [792, 888, 984, 936],
-    [888, 894, 990, 984],
-    [840, 846, 942, 990, 984, 936],
-    [799, 895, 991, 943],
-    [793, 889, 985, 937],
-    [889, 895, 991, 985],
-    [841, 847, 943, 991, 985, 937],
-    [842, 848, 944, 992, 986, 938],
-    [794, 890, 986, 938],
-    [800, 896, 992, 944],
-    [890, 896, 992, 986],
-    [843, 849, 945, 993, 987, 939],
-    [795, 891, 987, 939],
-    [801, 897, 993, 945],
-    [891, 897, 993, 987],
-    [802, 898, 994, 946],
-    [796, 892, 988, 940],
-    [844, 850, 946, 994, 988, 940],
-    [892, 898, 994, 988],
-    [803, 899, 995, 947],
-    [797, 893, 989, 941],
-    [845, 851, 947, 995, 989, 941],
-    [893, 899, 995, 989],
-    [804, 900, 996, 948],
-    [810, 906, 1002, 954],
-    [900, 906, 1002, 996],
-    [852, 858, 954, 1002, 996, 948],
-    [805, 901, 997, 949],
-    [811, 907, 1003, 955],
-    [901, 907, 1003, 997],
-    [853, 859, 955, 1003, 997, 949],
-    [812, 908, 1004, 956],
-    [806, 902, 998, 950],
-    [902, 908, 1004, 998],
-    [854, 860, 956, 1004, 998, 950],
-    [813, 909, 1005, 957],
-    [807, 903, 999, 951],
-    [903, 909, 1005, 999],
-    [855, 861, 957, 1005, 999, 951],
-    [808, 904, 1000, 952],
-    [814, 910, 1006, 958],
-    [856, 862, 958, 1006, 1000, 952],
-    [904, 910, 1006, 1000],
-    [809, 905, 1001, 953],
-    [815, 911, 1007, 959],
-    [857, 863, 959, 1007, 1001, 953],
-    [905, 911, 1007, 1001],
-    [868, 869, 965, 1013, 1012, 964],
-    [864, 866, 962, 1010, 1008, 960],
-    [865, 867, 963, 1011, 1009, 961],
-    [912, 913, 961, 1009, 1057, 1056, 1008, 960],
-    [914, 916, 964, 1012, 1060, 1058, 1010, 962],
-    [915, 917, 965, 1013, 1061, 1059, 1011, 963],
-    [1056, 1057, 1059, 1061, 1060, 1058],
-    [1012, 1013, 1061, 1060],
-    [1008, 1010, 1058, 1056],
-    [1009, 1011, 1059, 1057],
-    [870, 872, 968, 1016, 1014, 966],
-    [876, 888, 984, 1032, 1020, 972],
-    [918, 924, 972, 1020, 1068, 1062, 1014, 966],
-    [1014, 1016, 1064, 1062],
-    [1020, 1032, 1074, 1068],
-    [878, 890, 986, 1034, 1022, 974],
-    [1062, 1064, 1070, 1076, 1074, 1068],
-    [920, 926, 974, 1022, 1070, 1064, 1016, 968],
-    [936, 938, 986, 1034, 1076, 1074, 1032, 984],
-    [1022, 1034, 1076, 1070],
-    [871, 873, 969, 1017, 1015, 967],
-    [877, 889, 985, 1033, 1021, 973],
-    [919, 925, 973, 1021, 1069, 1063, 1015, 967],
-    [1015, 1017, 1065, 1063],
-    [1021, 1033, 1075, 1069],
-    [879, 891, 987, 1035, 1023, 975],
-    [1063, 1065, 1071, 1077, 1075, 1069],
-    [921, 927, 975, 1023, 1071, 1065, 1017, 969],
-    [937, 939, 987, 1035, 1077, 1075, 1033, 985],
-    [1023, 1035, 1077, 1071],
-    [874, 875, 971, 1019, 1018, 970],
-    [880, 892, 988, 1036, 1024, 976],
-    [881, 893, 989, 1037, 1025, 977],
-    [922, 928, 976, 1024, 1072, 1066, 1018, 970],
-    [923, 929, 977, 1025, 1073, 1067, 1019, 971],
-    [1018, 1019, 1067, 1066],
-    [1066, 1067, 1073, 1079, 1078, 1072],
-    [940, 941, 989, 1037, 1079, 1078, 1036, 988],
-    [1024, 1036, 1078, 1072],
-    [1025, 1037, 1079, 1073],
-    [900, 901, 997, 1045, 1044, 996],
-    [882, 894, 990, 1038, 1026, 978],
-    [883, 895, 991, 1039, 1027, 979],
-    [942, 948, 996, 1044, 1092, 1086, 1038, 990],
-    [943, 949, 997, 1045, 1093, 1087, 1039, 991],
-    [1044, 1045, 1093, 1092],
-    [1080, 1081, 1087, 1093, 1092, 1086],
-    [930, 931, 979, 1027, 1081, 1080, 1026, 978],
-    [1026, 1038, 1086, 1080],
-    [1027, 1039, 1087, 1081],
-    [886, 898, 994, 1042, 1030, 982],
-    [902, 904, 1000, 1048, 1046, 998],
-    [946, 952, 1000, 1048, 1096, 1090, 1042, 994],
-    [1030, 1042, 1090, 1084],
-    [1046, 1048, 1096, 1094],
-    [884, 896, 992, 1040, 1028, 980],
-    [1082, 1084, 1090, 1096, 1094, 1088],
-    [932, 934, 982, 1030, 1084, 1082, 1028, 980],
-    [944, 950, 998, 1046, 1094, 1088, 1040, 992],
-    [1028, 1040, 1088, 1082],
-    [887, 899, 995, 1043, 1031, 983],
-    [903, 905, 1001, 1049, 1047, 999],
-    [947, 953, 1001, 1049, 1097, 1091, 1043, 995],
-    [1031, 1043, 1091, 1085],
-    [1047, 1049, 1097, 1095],
-    [885, 897, 993, 1041, 1029, 981],
-    [1083, 1085, 1091, 1097, 1095, 1089],
-    [933, 935, 983, 1031, 1085, 1083, 1029, 981],
-    [945, 951, 999, 1047, 1095, 1089, 1041, 993],
-    [1029, 1041, 1089, 1083],
-    [906, 907, 1003, 1051, 1050, 1002],
-    [908, 910, 1006, 1054, 1052, 1004],
-    [909, 911, 1007, 1055, 1053, 1005],
-    [958, 959, 1007, 1055, 1103, 1102, 1054, 1006],
-    [954, 956, 1004, 1052, 1100, 1098, 1050, 1002],
-    [955, 957, 1005, 1053, 1101, 1099, 1051, 1003],
-    [1098, 1099, 1101, 1103, 1102, 1100],
-    [1050, 1051, 1099, 1098],
-    [1052, 1054, 1102, 1100],
-    [1053, 1055, 1103, 1101],
-    [960, 966, 1014, 1008],
-    [962, 968, 1016, 1010],
-    [1008, 1010, 1016, 1014],
-    [961, 967, 1015, 1009],
-    [963, 969, 1017, 1011],
-    [1009, 1011, 1017, 1015],
-    [964, 970, 1018, 1012],
-    [965, 971, 1019, 1013],
-    [1012, 1013, 1019, 1018],
-    [972, 978, 1026, 1020],
-    [984, 990, 1038, 1032],
-    [1020, 1026, 1038, 1032],
-    [973, 979, 1027, 1021],
-    [985, 991, 1039, 1033],
-    [1021, 1027, 1039, 1033],
-    [974, 980, 1028, 1022],
-    [986, 992, 1040, 1034],
-    [1022, 1028, 1040, 1034],
-    [975, 981, 1029, 1023],
-    [987, 993, 1041, 1035],
-    [1023, 1029, 1041, 1035],
-    [988, 994, 1042, 1036],
-    [976, 982, 1030, 1024],
-    [1024, 1030, 1042, 1036],
-    [989, 995, 1043, 1037],
-    [977, 983, 1031, 1025],
-    [1025, 1031, 1043, 1037],
-    [996, 1002, 1050, 1044],
-    [997, 1003, 1051, 1045],
-    [1044, 1045, 1051, 1050],
-    [1000, 1006, 1054, 1048],
-    [998, 1004, 1052, 1046],
-    [1046, 1048, 1054, 1052],
-    [1001, 1007, 1055, 1049],
-    [999, 1005, 1053, 1047],
-    [1047, 1049, 1055, 1053],
-    [1056, 1057, 1105, 1104],
-    [1008, 1014, 1062, 1110, 1104, 1056],
-    [1009, 1015, 1063, 1111, 1105, 1057],
-    [1020, 1026, 1080, 1122, 1116, 1068],
-    [1021, 1027, 1081, 1123, 1117, 1069],
-    [1062, 1068, 1116, 1110],
-    [1063, 1069, 1117, 1111],
-    [1104, 1105, 1111, 1117, 1123, 1122, 1116, 1110],
-    [1080, 1081, 1123, 1122],
-    [1012, 1018, 1066, 1114, 1108, 1060],
-    [1010, 1016, 1064, 1112, 1106, 1058],
-    [1058, 1060, 1108, 1106],
-    [1066, 1072, 1120, 1114],
-    [1024, 1030, 1084, 1126, 1120, 1072],
-    [1106, 1108, 1114, 1120, 1126, 1124, 1118, 1112],
-    [1064, 1070, 1118, 1112],
-    [1082, 1084, 1126, 1124],
-    [1022, 1028, 1082, 1124, 1118, 1070],
-    [1013, 1019, 1067, 1115, 1109, 1061],
-    [1011, 1017, 1065, 1113, 1107, 1059],
-    [1059, 1061, 1109, 1107],
-    [1067, 1073, 1121, 1115],
-    [1025, 1031, 1085, 1127, 1121, 1073],
-    [1107, 1109, 1115, 1121, 1127, 1125, 1119, 1113],
-    [1065, 1071, 1119, 1113],
-    [1083, 1085, 1127, 1125],
-    [1023, 1029, 1083, 1125, 1119, 1071],
-    [1044, 1050, 1098, 1146, 1140, 1092],
-    [1032, 1038, 1086, 1134, 1128, 1074],
-    [1086, 1092, 1140, 1134],
-    [1098, 1100, 1148, 1146],
-    [1046, 1052, 1100, 1148, 1142, 1094],
-    [1128, 1130, 1136, 1142, 1148, 1146, 1140, 1134],
-    [1074, 1076, 1130, 1128],
-    [1088, 1094, 1142, 1136],
-    [1034, 1040, 1088, 1136, 1130, 1076],
-    [1045, 1051, 1099, 1147, 1141, 1093],
-    [1033, 1039, 1087, 1135, 1129, 1075],
-    [1087, 1093, 1141, 1135],
-    [1099, 1101, 1149, 1147],
-    [1047, 1053, 1101, 1149, 1143, 1095],
-    [1129, 1131, 1137, 1143, 1149, 1147, 1141, 1135],
-    [1075, 1077, 1131, 1129],
-    [1089, 1095, 1143, 1137],
-    [1035, 1041, 1089, 1137, 1131, 1077],
-    [1102, 1103, 1151, 1150],
-    [1036, 1042, 1090, 1138, 1132, 1078],
-    [1037, 1043, 1091, 1139, 1133, 1079],
-    [1048, 1054, 1102, 1150, 1144, 1096],
-    [1049, 1055, 1103, 1151, 1145, 1097],
-    [1090, 1096, 1144, 1138],
-    [1091, 1097, 1145, 1139],
-    [1132, 1133, 1139, 1145, 1151, 1150, 1144, 1138],
-    [1078, 1079, 1133, 1132],
-    [1056, 1058, 1106, 1104],
-    [1062, 1064, 1112, 1110],
-    [1104, 1106, 1112, 1110],
-    [1057, 1059, 1107, 1105],
-    [1063, 1065, 1113, 1111],
-    [1105, 1107, 1113, 1111],
-    [1060, 1061, 1109, 1108],
-    [1066, 1067, 1115, 1114],
-    [1108, 1109, 1115, 1114],
-    [1080, 1086, 1134, 1122],
-    [1068, 1074, 1128, 1116],
-    [1116, 1122, 1134, 1128],
-    [1081, 1087, 1135, 1123],
-    [1069, 1075, 1129, 1117],
-    [1117, 1123, 1135, 1129],
-    [1070, 1076, 1130, 1118],
-    [1082, 1088, 1136, 1124],
-    [1118, 1124, 1136, 1130],
-    [1071, 1077, 1131, 1119],
-    [1083, 1089, 1137, 1125],
-    [1119, 1125, 1137, 1131],
-    [1072, 1078, 1132, 1120],
-    [1084, 1090, 1138, 1126],
-    [1120, 1126, 1138, 1132],
-    [1073, 1079, 1133, 1121],
-    [1085, 1091, 1139, 1127],
-    [1121, 1127, 1139, 1133],
-    [1098, 1099, 1147, 1146],
-    [1092, 1093, 1141, 1140],
-    [1140, 1141, 1147, 1146],
-    [1100, 1102, 1150, 1148],
-    [1094, 1096, 1144, 1142],
-    [1142, 1144, 1150, 1148],
-    [1101, 1103, 1151, 1149],
-    [1095, 1097, 1145, 1143],
-    [1143, 1145, 1151, 1149],
-    [1104, 1105, 1107, 1109, 1108, 1106],
-    [1110, 1112, 1118, 1130, 1128, 1116],
-    [1111, 1113, 1119, 1131, 1129, 1117],
-    [1114, 1115, 1121, 1133, 1132, 1120],
-    [1122, 1123, 1135, 1141, 1140, 1134],
-    [1124, 1126, 1138, 1144, 1142, 1136],
-    [1125, 1127, 1139, 1145, 1143, 1137],
-    [1146, 1147, 1149, 1151, 1150, 1148],
-  ],
-  cells: [
-    [
-      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20,
-      21, 22, 23, 24, 25,
-    ],
-    [0, 26, 27, 28, 29, 30, 31, 32],
-    [8, 33, 34, 35, 36, 37, 38, 39],
-    [9, 40, 41, 42, 43, 44, 45, 46],
-    [4, 47, 48, 49, 50, 51, 52, 53],
-    [5, 54, 55, 56, 57, 58, 59, 60],
-    [10, 61, 62, 63, 64, 65, 66, 67],
-    [11, 68, 69, 70, 71, 72, 73, 74],
-    [1, 75, 76, 77, 78, 79, 80, 81],
-    [18, 35, 28, 82, 83, 84, 85, 86],
-    [19, 42, 29, 87, 88, 89, 90, 91],
-    [16, 51, 27, 92, 93, 94, 95, 96],
-    [20, 36, 54, 97, 98, 99, 100, 101],
-    [21, 43, 55, 102, 103, 104, 105, 106],
-    [2, 34, 62, 107, 108, 109, 110, 111],
-    [3, 41, 69, 112, 113, 114, 115, 116],
-    [22, 63, 49, 117, 118, 119, 120, 121],
-    [23, 70, 50, 122, 123, 124, 125, 126],
-    [17, 58, 75, 127, 128, 129, 130, 131],
-    [24, 64, 79, 132, 133, 134, 135, 136],
-    [25, 71, 80, 137, 138, 139, 140, 141],
-    [
-      59, 6, 33, 40, 82, 87, 97, 102, 26, 142, 143, 144, 145, 146, 147, 148,
-      149, 150, 151, 152, 153, 154, 155, 156, 157, 158,
-    ],
-    [
-      110, 37, 65, 12, 83, 30, 47, 118, 92, 159, 160, 161, 162, 163, 164, 165,
-      166, 167, 168, 169, 170, 171, 172, 173, 174, 175,
-    ],
-    [
-      115, 44, 72, 13, 88, 31, 48, 123, 93, 176, 177, 178, 179, 180, 181, 182,
-      183, 184, 185, 186, 187, 188, 189, 190, 191, 192,
-    ],
-    [
-      111, 38, 66, 14, 98, 56, 77, 133, 127, 193, 194, 195, 196, 197, 198, 199,
-      200, 201, 202, 203, 204, 205, 206, 207, 208, 209,
-    ],
-    [
-      116, 45, 73, 15, 103, 57, 78, 138, 128, 210, 211, 212, 213, 214, 215, 216,
-      217, 218, 219, 220, 221, 222, 223, 224, 225, 226,
-    ],
-    [
-      52, 7, 61, 68, 117, 122, 132, 137, 76, 227, 228, 229, 230, 231, 232, 233,
-      234, 235, 236, 237, 238, 239, 240, 241, 242, 243,
-    ],
-    [86, 166, 145, 244, 245, 246, 247, 248],
-    [91, 183, 146, 249, 250, 251, 252, 253],
-    [96, 159, 176, 254, 255, 256, 257, 258],
-    [101, 200, 147, 259, 260, 261, 262, 263],
-    [106, 217, 148, 264, 265, 266, 267, 268],
-    [107, 162, 196, 269, 270, 271, 272, 273],
-    [112, 179, 213, 274, 275, 276, 277, 278],
-    [121, 168, 230, 279, 280, 281, 282, 283],
-    [126, 185, 231, 284, 285, 286, 287, 288],
-    [131, 193, 210, 289, 290, 291, 292, 293],
-    [136, 202, 232, 294, 295, 296, 297, 298],
-    [141, 219, 233, 299, 300, 301, 302, 303],
-    [
-      85, 90, 95, 32, 160, 177, 144, 244, 249, 254, 304, 305, 306, 307, 308,
-      309, 310, 311, 312, 313, 314, 315, 316, 317, 318, 319,
-    ],
-    [
-      108, 163, 197, 39, 269, 84, 99, 142, 245, 260, 320, 321, 322, 323, 324,
-      325, 326, 327, 328, 329, 330, 331, 332, 333, 334, 335,
-    ],
-    [
-      113, 180, 214, 46, 274, 89, 104, 143, 250, 265, 336, 337, 338, 339, 340,
-      341, 342, 343, 344, 345, 346, 347, 348, 349, 350, 351,
-    ],
-    [
-      120, 125, 234, 53, 94, 161, 178, 279, 284, 255, 352, 353, 354, 355, 356,
-      357, 358, 359, 360, 361, 362, 363, 364, 365, 366, 367,
-    ],
-    [
-      100, 105, 149, 60, 129, 194, 211, 259, 264, 290, 368, 369, 370, 371, 372,
-      373, 374, 375, 376, 377, 378, 379, 380, 381, 382, 383,
-    ],
-    [
-      109, 164, 198, 67, 270, 119, 134, 227, 280, 295, 384, 385, 386, 387, 388,
-      389, 390, 391, 392, 393, 394, 395, 396, 397, 398, 399,
-    ],
-    [
-      114, 181, 215, 74, 275, 124, 139, 228, 285, 300, 400, 401, 402, 403, 404,
-      405, 406, 407, 408, 409, 410, 411, 412, 413, 414, 415,
-    ],
-    [
-      135, 140, 130, 81, 195, 212, 229, 294, 299, 289, 416, 417, 418, 419, 420,
-      421, 422, 423, 424, 425, 426, 427, 428, 429, 430, 431,
-    ],
-    [247, 152, 306, 320, 432, 433, 434, 435],
-    [252, 153, 307, 336, 436, 437, 438, 439],
-    [174, 246, 322, 304, 440, 441, 442, 443],
-    [191, 251, 338, 305, 444, 445, 446, 447],
-    [167, 256, 308, 354, 448, 449, 450, 451],
-    [184, 257, 309, 355, 452, 453, 454, 455],
-    [262, 154, 370, 321, 456, 457, 458, 459],
-    [267, 155, 371, 337, 460, 461, 462, 463],
-    [272, 325, 389, 165, 464, 465, 466, 467],
-    [277, 341, 405, 182, 468, 469, 470, 471],
-    [175, 281, 386, 352, 472, 473, 474, 475],
-    [192, 286, 402, 353, 476, 477, 478, 479],
-    [208, 261, 324, 368, 480, 481, 482, 483],
-    [225, 266, 340, 369, 484, 485, 486, 487],
-    [273, 326, 390, 199, 488, 489, 490, 491],
-    [278, 342, 406, 216, 492, 493, 494, 495],
-    [282, 237, 356, 384, 496, 497, 498, 499],
-    [287, 238, 357, 400, 500, 501, 502, 503],
-    [201, 291, 372, 418, 504, 505, 506, 507],
-    [218, 292, 373, 419, 508, 509, 510, 511],
-    [209, 296, 388, 416, 512, 513, 514, 515],
-    [226, 301, 404, 417, 516, 517, 518, 519],
-    [297, 239, 420, 385, 520, 521, 522, 523],
-    [302, 240, 421, 401, 524, 525, 526, 527],
-    [158, 310, 432, 436, 528, 529, 530, 531],
-    [172, 449, 441, 311, 532, 533, 534, 535],
-    [189, 453, 445, 312, 536, 537, 538, 539],
-    [150, 433, 457, 323, 540, 541, 542, 543],
-    [151, 437, 461, 339, 544, 545, 546, 547],
-    [331, 465, 169, 440, 548, 549, 550, 551],
-    [347, 469, 186, 444, 552, 553, 554, 555],
-    [173, 450, 473, 358, 556, 557, 558, 559],
-    [190, 454, 477, 359, 560, 561, 562, 563],
-    [381, 156, 456, 460, 564, 565, 566, 567],
-    [395, 466, 170, 472, 568, 569, 570, 571],
-    [411, 470, 187, 476, 572, 573, 574, 575],
-    [334, 489, 203, 480, 576, 577, 578, 579],
-    [350, 493, 220, 484, 580, 581, 582, 583],
-    [366, 241, 496, 500, 584, 585, 586, 587],
-    [206, 505, 481, 374, 588, 589, 590, 591],
-    [223, 509, 485, 375, 592, 593, 594, 595],
-    [398, 490, 204, 512, 596, 597, 598, 599],
-    [414, 494, 221, 516, 600, 601, 602, 603],
-    [235, 497, 521, 387, 604, 605, 606, 607],
-    [236, 501, 525, 403, 608, 609, 610, 611],
-    [207, 506, 513, 423, 612, 613, 614, 615],
-    [224, 510, 517, 424, 616, 617, 618, 619],
-    [243, 422, 520, 524, 620, 621, 622, 623],
-    [319, 624, 625, 626, 627, 628, 629, 630],
-    [531, 316, 624, 631, 632, 633, 634, 635],
-    [535, 317, 628, 636, 637, 638, 639, 640],
-    [539, 318, 629, 641, 642, 643, 644, 645],
-    [
-      443, 248, 328, 534, 542, 435, 549, 314, 528, 626, 637, 631, 646, 647, 648,
-      649, 650, 651, 652, 653, 654, 655, 656, 657, 658, 659,
-    ],
-    [
-      447, 253, 344, 538, 546, 439, 553, 315, 529, 627, 642, 632, 660, 661, 662,
-      663, 664, 665, 666, 667, 668, 669, 670, 671, 672, 673,
-    ],
-    [
-      258, 364, 451, 455, 313, 532, 536, 556, 560, 636, 641, 625, 674, 675, 676,
-      677, 678, 679, 680, 681, 682, 683, 684, 685, 686, 687,
-    ],
-    [
-      567, 157, 434, 438, 458, 462, 540, 544, 530, 633, 646, 660, 688, 689, 690,
-      691, 692, 693, 694, 695, 696, 697, 698, 699, 700, 701,
-    ],
-    [
-      551, 571, 467, 171, 442, 474, 448, 533, 557, 647, 638, 674, 702, 703, 704,
-      705, 706, 707, 708, 709, 710, 711, 712, 713, 714, 715,
-    ],
-    [
-      555, 575, 471, 188, 446, 478, 452, 537, 561, 661, 643, 675, 716, 717, 718,
-      719, 720, 721, 722, 723, 724, 725, 726, 727, 728, 729,
-    ],
-    [330, 541, 650, 688, 730, 731, 732, 733],
-    [346, 545, 664, 689, 734, 735, 736, 737],
-    [550, 332, 703, 648, 738, 739, 740, 741],
-    [554, 348, 717, 662, 742, 743, 744, 745],
-    [559, 362, 676, 702, 746, 747, 748, 749],
-    [563, 363, 677, 716, 750, 751, 752, 753],
-    [335, 739, 649, 730, 754, 755, 756, 757],
-    [351, 743, 663, 734, 758, 759, 760, 761],
-    [367, 678, 746, 750, 762, 763, 764, 765],
-    [566, 382, 692, 766, 767, 768, 769, 770],
-    [
-      483, 263, 329, 543, 590, 459, 577, 376, 564, 731, 755, 690, 766, 771, 772,
-      773, 774, 775, 776, 777, 778, 779, 780, 781, 782, 783,
-    ],
-    [
-      487, 268, 345, 547, 594, 463, 581, 377, 565, 735, 759, 691, 767, 784, 785,
-      786, 787, 788, 789, 790, 791, 792, 793, 794, 795, 796,
-    ],
-    [333, 578, 756, 771, 797, 798, 799, 800],
-    [349, 582, 760, 784, 801, 802, 803, 804],
-    [
-      271, 464, 488, 327, 391, 548, 568, 576, 596, 738, 704, 754, 797, 805, 806,
-      807, 808, 809, 810, 811, 812, 813, 814, 815, 816, 817,
-    ],
-    [
-      276, 468, 492, 343, 407, 552, 572, 580, 600, 742, 718, 758, 801, 818, 819,
-      820, 821, 822, 823, 824, 825, 826, 827, 828, 829, 830,
-    ],
-    [570, 396, 706, 805, 831, 832, 833, 834],
-    [574, 412, 720, 818, 835, 836, 837, 838],
-    [
-      475, 283, 392, 558, 606, 499, 569, 360, 584, 705, 747, 762, 831, 839, 840,
-      841, 842, 843, 844, 845, 846, 847, 848, 849, 850, 851,
-    ],
-    [
-      479, 288, 408, 562, 610, 503, 573, 361, 585, 719, 751, 763, 835, 852, 853,
-      854, 855, 856, 857, 858, 859, 860, 861, 862, 863, 864,
-    ],
-    [365, 586, 764, 839, 852, 865, 866, 867],
-    [383, 768, 772, 785, 868, 869, 870, 871],
-    [399, 832, 841, 806, 872, 873, 874, 875],
-    [415, 836, 854, 819, 876, 877, 878, 879],
-    [591, 378, 773, 868, 880, 881, 882, 883],
-    [595, 379, 786, 869, 884, 885, 886, 887],
-    [397, 598, 874, 808, 888, 889, 890, 891],
-    [413, 602, 878, 821, 892, 893, 894, 895],
-    [394, 605, 842, 872, 896, 897, 898, 899],
-    [410, 609, 855, 876, 900, 901, 902, 903],
-    [
-      579, 599, 491, 205, 482, 514, 504, 589, 613, 798, 774, 807, 889, 880, 904,
-      905, 906, 907, 908, 909, 910, 911, 912, 913, 914, 915,
-    ],
-    [
-      583, 603, 495, 222, 486, 518, 508, 593, 617, 802, 787, 820, 893, 884, 916,
-      917, 918, 919, 920, 921, 922, 923, 924, 925, 926, 927,
-    ],
-    [
-      587, 242, 498, 502, 522, 526, 604, 608, 622, 865, 840, 853, 896, 900, 928,
-      929, 930, 931, 932, 933, 934, 935, 936, 937, 938, 939,
-    ],
-    [
-      293, 380, 507, 511, 425, 588, 592, 612, 616, 870, 881, 885, 904, 916, 940,
-      941, 942, 943, 944, 945, 946, 947, 948, 949, 950, 951,
-    ],
-    [
-      515, 298, 393, 607, 614, 523, 597, 426, 620, 897, 873, 888, 906, 928, 952,
-      953, 954, 955, 956, 957, 958, 959, 960, 961, 962, 963,
-    ],
-    [
-      519, 303, 409, 611, 618, 527, 601, 427, 621, 901, 877, 892, 918, 929, 964,
-      965, 966, 967, 968, 969, 970, 971, 972, 973, 974, 975,
-    ],
-    [615, 429, 905, 953, 941, 976, 977, 978],
-    [619, 430, 917, 965, 942, 979, 980, 981],
-    [623, 428, 930, 952, 964, 982, 983, 984],
-    [431, 976, 979, 954, 966, 940, 982, 985],
-    [635, 693, 651, 665, 986, 987, 988, 989],
-    [640, 655, 707, 679, 990, 991, 992, 993],
-    [645, 669, 721, 680, 994, 995, 996, 997],
-    [656, 779, 732, 694, 998, 999, 1000, 1001],
-    [670, 792, 736, 695, 1002, 1003, 1004, 1005],
-    [714, 740, 653, 809, 1006, 1007, 1008, 1009],
-    [728, 744, 667, 822, 1010, 1011, 1012, 1013],
-    [749, 847, 708, 681, 1014, 1015, 1016, 1017],
-    [753, 860, 722, 682, 1018, 1019, 1020, 1021],
-    [701, 769, 775, 788, 1022, 1023, 1024, 1025],
-    [715, 833, 845, 810, 1026, 1027, 1028, 1029],
-    [729, 837, 858, 823, 1030, 1031, 1032, 1033],
-    [914, 800, 777, 811, 1034, 1035, 1036, 1037],
-    [926, 804, 790, 824, 1038, 1039, 1040, 1041],
-    [939, 867, 843, 856, 1042, 1043, 1044, 1045],
-    [883, 780, 907, 943, 1046, 1047, 1048, 1049],
-    [887, 793, 919, 944, 1050, 1051, 1052, 1053],
-    [915, 891, 957, 812, 1054, 1055, 1056, 1057],
-    [927, 895, 969, 825, 1058, 1059, 1060, 1061],
-    [848, 959, 898, 932, 1062, 1063, 1064, 1065],
-    [861, 971, 902, 933, 1066, 1067, 1068, 1069],
-    [978, 960, 908, 945, 1070, 1071, 1072, 1073],
-    [981, 972, 920, 946, 1074, 1075, 1076, 1077],
-    [984, 931, 955, 967, 1078, 1079, 1080, 1081],
-    [654, 696, 999, 986, 1082, 1083, 1084, 1085],
-    [668, 697, 1003, 987, 1086, 1087, 1088, 1089],
-    [659, 710, 991, 1006, 1090, 1091, 1092, 1093],
-    [673, 724, 995, 1010, 1094, 1095, 1096, 1097],
-    [684, 992, 1016, 709, 1098, 1099, 1100, 1101],
-    [685, 996, 1020, 723, 1102, 1103, 1104, 1105],
-    [778, 698, 1000, 1022, 1106, 1107, 1108, 1109],
-    [791, 699, 1004, 1023, 1110, 1111, 1112, 1113],
-    [713, 1008, 1028, 815, 1114, 1115, 1116, 1117],
-    [727, 1012, 1032, 828, 1118, 1119, 1120, 1121],
-    [851, 711, 1015, 1026, 1122, 1123, 1124, 1125],
-    [864, 725, 1019, 1030, 1126, 1127, 1128, 1129],
-    [783, 910, 1047, 1034, 1130, 1131, 1132, 1133],
-    [796, 922, 1051, 1038, 1134, 1135, 1136, 1137],
-    [913, 1036, 1056, 816, 1138, 1139, 1140, 1141],
-    [925, 1040, 1060, 829, 1142, 1143, 1144, 1145],
-    [846, 934, 1063, 1042, 1146, 1147, 1148, 1149],
-    [859, 935, 1067, 1043, 1150, 1151, 1152, 1153],
-    [948, 1048, 1072, 909, 1154, 1155, 1156, 1157],
-    [949, 1052, 1076, 921, 1158, 1159, 1160, 1161],
-    [963, 911, 1071, 1054, 1162, 1163, 1164, 1165],
-    [975, 923, 1075, 1058, 1166, 1167, 1168, 1169],
-    [958, 936, 1064, 1078, 1170, 1171, 1172, 1173],
-    [970, 937, 1068, 1079, 1174, 1175, 1176, 1177],
-    [
-      630, 639, 644, 634, 652, 666, 683, 990, 994, 988, 1083, 1087, 1098, 1102,
-      1090, 1094, 1178, 1179, 1180, 1181, 1182, 1183, 1184, 1185, 1186, 1187,
-    ],
-    [
-      757, 1009, 741, 799, 1037, 733, 657, 781, 813, 1115, 1139, 1091, 998,
-      1131, 1082, 1106, 1188, 1189, 1190, 1191, 1192, 1193, 1194, 1195, 1196,
-      1197,
-    ],
-    [
-      761, 1013, 745, 803, 1041, 737, 671, 794, 826, 1119, 1143, 1095, 1002,
-      1135, 1086, 1110, 1198, 1199, 1200, 1201, 1202, 1203, 1204, 1205, 1206,
-      1207,
-    ],
-    [
-      765, 866, 1045, 686, 748, 752, 844, 857, 1014, 1018, 1099, 1103, 1147,
-      1151, 1122, 1126, 1208, 1209, 1210, 1211, 1212, 1213, 1214, 1215, 1216,
-      1217,
-    ],
-    [
-      871, 1025, 770, 950, 882, 886, 776, 789, 1046, 1050, 1107, 1111, 1154,
-      1158, 1130, 1134, 1218, 1219, 1220, 1221, 1222, 1223, 1224, 1225, 1226,
-      1227,
-    ],
-    [
-      875, 1029, 834, 890, 1057, 899, 849, 961, 814, 1116, 1140, 1123, 1062,
-      1163, 1146, 1170, 1228, 1229, 1230, 1231, 1232, 1233, 1234, 1235, 1236,
-      1237,
-    ],
-    [
-      879, 1033, 838, 894, 1061, 903, 862, 973, 827, 1120, 1144, 1127, 1066,
-      1167, 1150, 1174, 1238, 1239, 1240, 1241, 1242, 1243, 1244, 1245, 1246,
-      1247,
-    ],
-    [
-      985, 977, 980, 983, 956, 968, 947, 1070, 1074, 1080, 1155, 1159, 1171,
-      1175, 1162, 1166, 1248, 1249, 1250, 1251, 1252, 1253, 1254, 1255, 1256,
-      1257,
-    ],
-    [658, 1085, 1092, 1188, 1179, 1258, 1259, 1260],
-    [672, 1089, 1096, 1198, 1180, 1261, 1262, 1263],
-    [687, 1100, 1104, 1208, 1178, 1264, 1265, 1266],
-    [782, 1109, 1132, 1189, 1219, 1267, 1268, 1269],
-    [795, 1113, 1136, 1199, 1220, 1270, 1271, 1272],
-    [1117, 1141, 817, 1193, 1233, 1273, 1274, 1275],
-    [1121, 1145, 830, 1203, 1243, 1276, 1277, 1278],
-    [850, 1149, 1124, 1228, 1209, 1279, 1280, 1281],
-    [863, 1153, 1128, 1238, 1210, 1282, 1283, 1284],
-    [951, 1156, 1160, 1218, 1248, 1285, 1286, 1287],
-    [962, 1173, 1164, 1229, 1249, 1288, 1289, 1290],
-    [974, 1177, 1168, 1239, 1250, 1291, 1292, 1293],
-    [
-      989, 700, 1024, 1084, 1088, 1108, 1112, 1001, 1005, 1225, 1258, 1261,
-      1267, 1270, 1181, 1190, 1200, 1294, 1295, 1296, 1297, 1298, 1299, 1300,
-      1301, 1302,
-    ],
-    [
-      1093, 1125, 993, 1017, 712, 1007, 1027, 1259, 1101, 1280, 1114, 1195,
-      1235, 1273, 1182, 1211, 1264, 1303, 1304, 1305, 1306, 1307, 1308, 1309,
-      1310, 1311,
-    ],
-    [
-      1097, 1129, 997, 1021, 726, 1011, 1031, 1262, 1105, 1283, 1118, 1205,
-      1245, 1276, 1183, 1212, 1265, 1312, 1313, 1314, 1315, 1316, 1317, 1318,
-      1319, 1320,
-    ],
-    [
-      1133, 1165, 1049, 1073, 912, 1035, 1055, 1268, 1157, 1289, 1138, 1196,
-      1236, 1274, 1221, 1252, 1285, 1321, 1322, 1323, 1324, 1325, 1326, 1327,
-      1328, 1329,
-    ],
-    [
-      1137, 1169, 1053, 1077, 924, 1039, 1059, 1271, 1161, 1292, 1142, 1206,
-      1246, 1277, 1222, 1253, 1286, 1330, 1331, 1332, 1333, 1334, 1335, 1336,
-      1337, 1338,
-    ],
-    [
-      1081, 938, 1044, 1148, 1152, 1172, 1176, 1065, 1069, 1215, 1279, 1282,
-      1288, 1291, 1251, 1230, 1240, 1339, 1340, 1341, 1342, 1343, 1344, 1345,
-      1346, 1347,
-    ],
-    [1260, 1186, 1191, 1304, 1295, 1348, 1349, 1350],
-    [1263, 1187, 1201, 1313, 1296, 1351, 1352, 1353],
-    [1266, 1185, 1213, 1303, 1312, 1354, 1355, 1356],
-    [1269, 1226, 1192, 1322, 1297, 1357, 1358, 1359],
-    [1272, 1227, 1202, 1331, 1298, 1360, 1361, 1362],
-    [1311, 1329, 1197, 1237, 1275, 1363, 1364, 1365],
-    [1320, 1338, 1207, 1247, 1278, 1366, 1367, 1368],
-    [1281, 1216, 1231, 1307, 1340, 1369, 1370, 1371],
-    [1284, 1217, 1241, 1316, 1341, 1372, 1373, 1374],
-    [1287, 1255, 1223, 1321, 1330, 1375, 1376, 1377],
-    [1290, 1256, 1232, 1325, 1342, 1378, 1379, 1380],
-    [1293, 1257, 1242, 1334, 1343, 1381, 1382, 1383],
-    [1184, 1348, 1351, 1305, 1314, 1294, 1354, 1384],
-    [1194, 1309, 1327, 1349, 1358, 1363, 1299, 1385],
-    [1204, 1318, 1336, 1352, 1361, 1366, 1300, 1386],
-    [1214, 1347, 1355, 1306, 1315, 1369, 1372, 1387],
-    [1224, 1302, 1376, 1357, 1360, 1323, 1332, 1388],
-    [1234, 1310, 1328, 1370, 1379, 1364, 1344, 1389],
-    [1244, 1319, 1337, 1373, 1382, 1367, 1345, 1390],
-    [1254, 1324, 1333, 1378, 1381, 1375, 1339, 1391],
-    [
-      1350, 1353, 1359, 1362, 1371, 1374, 1380, 1383, 1356, 1377, 1308, 1317,
-      1326, 1335, 1385, 1386, 1389, 1390, 1301, 1346, 1387, 1388, 1365, 1368,
-      1384, 1391,
-    ],
-  ],
-}
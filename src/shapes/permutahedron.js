@@ -0,0 +1,86 @@
+import { lazyShape } from '../helpers'
+import { normalizeShape } from '../normalize'
+import {
+  generateWythoff,
+  getMirrors,
+  hecatonicosachoronOmnitruncated,
+} from './wythoff'
+
+// B4 and C4 are the same group in 4 dimensions
+const groups = {
+  A: 'A4',
+  B: 'B4',
+  C: 'B4',
+  D: 'D4',
+  F: 'F4',
+  H: 'H4',
+}
+
+const getDiagram = group => {
+  const diagram = groups[group[0]]
+  if (!diagram) {
+    throw new Error(
+      `Unknown group ${group}, expected one of ${Object.keys(groups).join(
+        ', '
+      )}`
+    )
+  }
+  return diagram
+}
+
+// Express the vertices in the (non orthogonal) basis of the mirror normals
+const toRootBasis = (shape, group) => {
+  const mirrors = getMirrors(getDiagram(group))
+  const n = mirrors.length
+  return {
+    ...shape,
+    vertices: shape.vertices.map(p => {
+      const coordinates = new Array(n).fill(0)
+      for (let i = n - 1; i >= 0; i--) {
+        let s = p[i]
+        for (let j = i + 1; j < n; j++) {
+          s -= mirrors[j][i] * coordinates[j]
+        }
+        coordinates[i] = s / mirrors[i][i]
+      }
+      return coordinates
+    }),
+  }
+}
+
+export const generatePermutahedron = (group, { regular = true } = {}) => {
+  const shape = generateWythoff(getDiagram(group), [1, 1, 1, 1])
+  return regular ? shape : toRootBasis(shape, group)
+}
+
+export const permutahedronA = lazyShape(() =>
+  normalizeShape(generatePermutahedron('A'))
+)
+export const permutahedronAIrregular = lazyShape(() =>
+  normalizeShape(generatePermutahedron('A', { regular: false }))
+)
+export const permutahedronB = lazyShape(() =>
+  normalizeShape(generatePermutahedron('B'))
+)
+export const permutahedronBIrregular = lazyShape(() =>
+  normalizeShape(generatePermutahedron('B', { regular: false }))
+)
+export const permutahedronC = permutahedronB
+export const permutahedronCIrregular = permutahedronBIrregular
+export const permutahedronD = lazyShape(() =>
+  normalizeShape(generatePermutahedron('D'))
+)
+export const permutahedronDIrregular = lazyShape(() =>
+  normalizeShape(generatePermutahedron('D', { regular: false }))
+)
+export const permutahedronF = lazyShape(() =>
+  normalizeShape(generatePermutahedron('F'))
+)
+export const permutahedronFIrregular = lazyShape(() =>
+  normalizeShape(generatePermutahedron('F', { regular: false }))
+)
+// The H4 permutahedron is the omnitruncated 120-cell
+export const permutahedronH = hecatonicosachoronOmnitruncated
+export const permutahedronHIrregular = lazyShape(() =>
+  normalizeShape(toRootBasis(permutahedronH, 'H'))
+)
@@ -0,0 +1,149 @@
+export const generateCuboid = ([xmin, xmax], [ymin, ymax], [zmin, zmax]) => ({
+  vertices: [
+    [xmin, ymin, zmin], // 0
+    [xmin, ymin, zmax], // 1
+    [xmin, ymax, zmin], // 2
+    [xmin, ymax, zmax], // 3
+    [xmax, ymin, zmin], // 4
+    [xmax, ymin, zmax], // 5
+    [xmax, ymax, zmin], // 6
+    [xmax, ymax, zmax], // 7
+  ],
+  faces: [
+    [0, 1, 3, 2], // 0
+    [4, 6, 7, 5], // 1
+    [0, 4, 5, 1], // 2
+    [2, 3, 7, 6], // 3
+    [0, 2, 6, 4], // 4
+    [1, 5, 7, 3], // 5
+  ],
+})
+
+export const generateOctahedraloid = (
+  [xmin, xmax],
+  [ymin, ymax],
+  [zmin, zmax]
+) => ({
+  vertices: [
+    [xmin, 0, 0], // 0
+    [xmax, 0, 0], // 1
+    [0, ymin, 0], // 2
+    [0, ymax, 0], // 3
+    [0, 0, zmin], // 4
+    [0, 0, zmax], // 5
+  ],
+  faces: [
+    [0, 2, 4], // 0
+    [0, 4, 3], // 1
+    [0, 3, 5], // 2
+    [0, 5, 2], // 3
+    [1, 4, 2], // 4
+    [1, 3, 4], // 5
+    [1, 5, 3], // 6
+    [1, 2, 5], // 7
+  ],
+})
+
+export const cube = generateCuboid([-1, 1], [-1, 1], [-1, 1])
+
+export const octahedron = generateOctahedraloid([-1, 1], [-1, 1], [-1, 1])
+
+// Truncated icosahedron
+export const buckyBall = {
+  vertices: [
+    [0.5393446629166316, -0.16666666666666666, 0.6030056647916492],
+    [0.5393446629166316, 0.16666666666666666, 0.6030056647916492],
+    [0.7060113295832983, 0.2696723314583158, 0.3333333333333333],
+    [0.7060113295832983, -0.2696723314583158, 0.3333333333333333],
+    [0.8090169943749475, 0.0, 0.16666666666666666],
+    [0.2696723314583158, 0.3333333333333333, 0.7060113295832983],
+    [0.6030056647916492, 0.5393446629166316, 0.16666666666666666],
+    [0.16666666666666666, 0.6030056647916492, 0.5393446629166316],
+    [0.3333333333333333, 0.7060113295832983, 0.2696723314583158],
+    [0.2696723314583158, -0.3333333333333333, 0.7060113295832983],
+    [0.6030056647916492, -0.5393446629166316, 0.16666666666666666],
+    [0.16666666666666666, -0.6030056647916492, 0.5393446629166316],
+    [0.3333333333333333, -0.7060113295832983, 0.2696723314583158],
+    [0.0, 0.16666666666666666, 0.8090169943749475],
+    [0.0, -0.16666666666666666, 0.8090169943749475],
+    [-0.16666666666666666, 0.6030056647916492, 0.5393446629166316],
+    [-0.2696723314583158, 0.3333333333333333, 0.7060113295832983],
+    [-0.16666666666666666, -0.6030056647916492, 0.5393446629166316],
+    [-0.2696723314583158, -0.3333333333333333, 0.7060113295832983],
+    [-0.5393446629166316, 0.16666666666666666, 0.6030056647916492],
+    [-0.5393446629166316, -0.16666666666666666, 0.6030056647916492],
+    [0.8090169943749475, 0.0, -0.16666666666666666],
+    [0.6030056647916492, 0.5393446629166316, -0.16666666666666666],
+    [0.7060113295832983, 0.2696723314583158, -0.3333333333333333],
+    [-0.3333333333333333, 0.7060113295832983, 0.2696723314583158],
+    [0.16666666666666666, 0.8090169943749475, 0.0],
+    [0.3333333333333333, 0.7060113295832983, -0.2696723314583158],
+    [-0.16666666666666666, 0.8090169943749475, 0.0],
+    [0.6030056647916492, -0.5393446629166316, -0.16666666666666666],
+    [0.7060113295832983, -0.2696723314583158, -0.3333333333333333],
+    [-0.7060113295832983, 0.2696723314583158, 0.3333333333333333],
+    [-0.6030056647916492, 0.5393446629166316, 0.16666666666666666],
+    [-0.3333333333333333, -0.7060113295832983, 0.2696723314583158],
+    [0.16666666666666666, -0.8090169943749475, 0.0],
+    [0.3333333333333333, -0.7060113295832983, -0.2696723314583158],
+    [-0.16666666666666666, -0.8090169943749475, 0.0],
+    [-0.7060113295832983, -0.2696723314583158, 0.3333333333333333],
+    [-0.8090169943749475, 0.0, 0.16666666666666666],
+    [-0.6030056647916492, -0.5393446629166316, 0.16666666666666666],
+    [0.16666666666666666, 0.6030056647916492, -0.5393446629166316],
+    [0.5393446629166316, 0.16666666666666666, -0.6030056647916492],
+    [0.5393446629166316, -0.16666666666666666, -0.6030056647916492],
+    [0.2696723314583158, 0.3333333333333333, -0.7060113295832983],
+    [-0.3333333333333333, 0.7060113295832983, -0.2696723314583158],
+    [-0.6030056647916492, 0.5393446629166316, -0.16666666666666666],
+    [-0.16666666666666666, 0.6030056647916492, -0.5393446629166316],
+    [0.16666666666666666, -0.6030056647916492, -0.5393446629166316],
+    [0.2696723314583158, -0.3333333333333333, -0.7060113295832983],
+    [-0.8090169943749475, 0.0, -0.16666666666666666],
+    [-0.7060113295832983, 0.2696723314583158, -0.3333333333333333],
+    [-0.3333333333333333, -0.7060113295832983, -0.2696723314583158],
+    [-0.6030056647916492, -0.5393446629166316, -0.16666666666666666],
+    [-0.16666666666666666, -0.6030056647916492, -0.5393446629166316],
+    [-0.7060113295832983, -0.2696723314583158, -0.3333333333333333],
+    [0.0, 0.16666666666666666, -0.8090169943749475],
+    [-0.2696723314583158, 0.3333333333333333, -0.7060113295832983],
+    [0.0, -0.16666666666666666, -0.8090169943749475],
+    [-0.5393446629166316, 0.16666666666666666, -0.6030056647916492],
+    [-0.2696723314583158, -0.3333333333333333, -0.7060113295832983],
+    [-0.5393446629166316, -0.16666666666666666, -0.6030056647916492],
+  ],
+  faces: [
+    [54, 55, 57, 59, 58, 56],
+    [50, 51, 53, 59, 58, 52],
+    [48, 49, 57, 59, 53],
+    [46, 47, 56, 58, 52],
+    [43, 44, 49, 57, 55, 45],
+    [40, 41, 47, 56, 54, 42],
+    [39, 42, 54, 55, 45],
+    [36, 37, 48, 53, 51, 38],
+    [33, 34, 46, 52, 50, 35],
+    [32, 35, 50, 51, 38],
+    [30, 31, 44, 49, 48, 37],
+    [28, 29, 41, 47, 46, 34],
+    [25, 26, 39, 45, 43, 27],
+    [24, 27, 43, 44, 31],
+    [22, 23, 40, 42, 39, 26],
+    [21, 23, 40, 41, 29],
+    [17, 18, 20, 36, 38, 32],
+    [19, 20, 36, 37, 30],
+    [11, 12, 33, 35, 32, 17],
+    [10, 12, 33, 34, 28],
+    [15, 16, 19, 30, 31, 24],
+    [3, 4, 21, 29, 28, 10],
+    [7, 8, 25, 27, 24, 15],
+    [6, 8, 25, 26, 22],
+    [2, 4, 21, 23, 22, 6],
+    [13, 14, 18, 20, 19, 16],
+    [9, 11, 17, 18, 14],
+    [5, 7, 15, 16, 13],
+    [0, 1, 5, 13, 14, 9],
+    [0, 3, 10, 12, 11, 9],
+    [1, 2, 6, 8, 7, 5],
+    [0, 1, 2, 4, 3],
+  ],
+}
@@ -0,0 +1,141 @@
+import { edgeKey } from '../helpers'
+
+// Get the faces of every rank of a lower dimensional shape:
+// 1D shapes without edges are polylines and
+// 3D shapes without cells are solid polyhedra
+const getRanks = ({ vertices, edges, faces = [], cells }) => {
+  if (!edges) {
+    const keys = new Map()
+    if (faces.length) {
+      faces.forEach(face =>
+        face.forEach((a, i) => {
+          const b = face[(i + 1) % face.length]
+          keys.has(edgeKey(a, b)) || keys.set(edgeKey(a, b), [a, b])
+        })
+      )
+    } else {
+      vertices
+        .slice(1)
+        .forEach((_, i) => keys.set(edgeKey(i, i + 1), [i, i + 1]))
+    }
+    edges = [...keys.values()]
+  }
+  if (!cells) {
+    cells =
+      vertices[0].length === 3 && faces.length ? [faces.map((_, i) => i)] : []
+  }
+  const edgeIndices = new Map(edges.map(([a, b], i) => [edgeKey(a, b), i]))
+  return {
+    vertices,
+    ranks: [vertices.map((_, i) => i), edges, faces, cells],
+    // Edges of a face, in the face order
+    faceEdges: face =>
+      face.map((a, i) =>
+        edgeIndices.get(edgeKey(a, face[(i + 1) % face.length]))
+      ),
+  }
+}
+
+export const cartesianProduct = (shapeA, shapeB) => {
+  const a = getRanks(shapeA)
+  const b = getRanks(shapeB)
+  const size = b.vertices.length
+  const vertex = (i, j) => i * size + j
+
+  const vertices = a.vertices.map(p => b.vertices.map(q => [...p, ...q])).flat()
+
+  // Index the products of an i-face of A by a j-face of B
+  const products = (rank, build) => {
+    const elements = []
+    const indices = new Map()
+    for (let i = 0; i <= rank; i++) {
+      const j = rank - i
+      a.ranks[i].forEach((elementA, indexA) =>
+        b.ranks[j].forEach((elementB, indexB) => {
+          indices.set(`${i}:${indexA}|${j}:${indexB}`, elements.length)
+          elements.push(build(i, elementA, indexA, j, elementB, indexB))
+        })
+      )
+    }
+    return {
+      elements,
+      index: (i, indexA, j, indexB) =>
+        indices.get(`${i}:${indexA}|${j}:${indexB}`),
+    }
+  }
+
+  const edges = products(1, (i, elementA, _, j, elementB) =>
+    i === 0
+      ? elementB.map(v => vertex(elementA, v))
+      : elementA.map(v => vertex(v, elementB))
+  )
+
+  const faces = products(2, (i, elementA, _, j, elementB) => {
+    if (i === 0) {
+      return elementB.map(v => vertex(elementA, v))
+    }
+    if (i === 2) {
+      return elementA.map(v => vertex(v, elementB))
+    }
+    const [a0, a1] = elementA
+    const [b0, b1] = elementB
+    return [vertex(a0, b0), vertex(a1, b0), vertex(a1, b1), vertex(a0, b1)]
+  })
+
+  const cells = products(3, (i, elementA, indexA, j, elementB, indexB) => {
+    if (i === 0) {
+      return elementB.map(face => faces.index(0, elementA, 2, face))
+    }
+    if (i === 3) {
+      return elementA.map(face => faces.index(2, face, 0, elementB))
+    }
+    if (i === 1) {
+      return [
+        faces.index(0, elementA[0], 2, indexB),
+        ...b.faceEdges(elementB).map(edge => faces.index(1, indexA, 1, edge)),
+        faces.index(0, elementA[1], 2, indexB),
+      ]
+    }
+    return [
+      faces.index(2, indexA, 0, elementB[0]),
+      ...a.faceEdges(elementA).map(edge => faces.index(1, edge, 1, indexB)),
+      faces.index(2, indexA, 0, elementB[1]),
+    ]
+  })
+
+  return {
+    vertices,
+    edges: edges.elements,
+    faces: faces.elements,
+    cells: cells.elements,
+  }
+}
+
+export const generateSegment = (min = -1, max = 1) => ({
+  vertices: [[min], [max]],
+  edges: [[0, 1]],
+})
+
+export const generatePolygon = (n, r = 1) => ({
+  vertices: new Array(n)
+    .fill()
+    .map((_, i) => [
+      r * Math.cos((2 * Math.PI * i) / n),
+      r * Math.sin((2 * Math.PI * i) / n),
+    ]),
+  faces: [new Array(n).fill().map((_, i) => i)],
+})
+
+export const generateUVCurve = (
+  f,
+  [uMin, uMax, uResolution = 16, uInclusive = false, uLoop = true]
+) => ({
+  vertices: new Array(uResolution)
+    .fill()
+    .map((_, u) =>
+      f(uMin + (u * (uMax - uMin)) / (uResolution - (uInclusive ? 1 : 0)))
+    ),
+  edges: new Array(uLoop ? uResolution : uResolution - 1)
+    .fill()
+    .map((_, u) => [u, (u + 1) % uResolution]),
+})
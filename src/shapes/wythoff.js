@@ -0,0 +1,301 @@
+import { lazyShape } from '../helpers'
+import { normalizeShape } from '../normalize'
+
+const linearDiagram = ([p, q, r]) => [
+  [1, p, 2, 2],
+  [p, 1, q, 2],
+  [2, q, 1, r],
+  [2, 2, r, 1],
+]
+
+export const coxeterDiagrams = {
+  A4: linearDiagram([3, 3, 3]),
+  B4: linearDiagram([4, 3, 3]),
+  D4: [
+    [1, 3, 2, 2],
+    [3, 1, 3, 3],
+    [2, 3, 1, 2],
+    [2, 3, 2, 1],
+  ],
+  F4: linearDiagram([3, 4, 3]),
+  H4: linearDiagram([5, 3, 3]),
+}
+
+const getCoxeterMatrix = coxeterDiagram => {
+  if (typeof coxeterDiagram === 'string') {
+    if (!coxeterDiagrams[coxeterDiagram]) {
+      throw new Error(
+        `Unknown coxeter diagram ${coxeterDiagram}, expected one of ${Object.keys(
+          coxeterDiagrams
+        ).join(', ')}`
+      )
+    }
+    return coxeterDiagrams[coxeterDiagram]
+  }
+  if (!Array.isArray(coxeterDiagram[0])) {
+    return linearDiagram(coxeterDiagram)
+  }
+  return coxeterDiagram
+}
+
+// Mirror normals are the rows of the Cholesky decomposition
+// of the Gram matrix -cos(π / m_ij)
+export const getMirrors = coxeterDiagram => {
+  const matrix = getCoxeterMatrix(coxeterDiagram)
+  const n = matrix.length
+  const mirrors = new Array(n).fill().map(() => new Array(n).fill(0))
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = i === j ? 1 : -Math.cos(Math.PI / matrix[i][j])
+      for (let k = 0; k < j; k++) {
+        s -= mirrors[i][k] * mirrors[j][k]
+      }
+      if (i === j) {
+        if (s <= 1e-12) {
+          throw new Error(
+            `Coxeter diagram ${JSON.stringify(matrix)} is not a finite group`
+          )
+        }
+        mirrors[i][i] = Math.sqrt(s)
+      } else {
+        mirrors[i][j] = s / mirrors[j][j]
+      }
+    }
+  }
+  return mirrors
+}
+
+// Point at distance d_i of mirror i
+export const getSeed = (mirrors, distances) => {
+  const seed = new Array(mirrors.length).fill(0)
+  for (let i = 0; i < mirrors.length; i++) {
+    let s = distances[i]
+    for (let j = 0; j < i; j++) {
+      s -= mirrors[i][j] * seed[j]
+    }
+    seed[i] = s / mirrors[i][i]
+  }
+  return seed
+}
+
+export const reflect = (p, normal) => {
+  const d = 2 * p.reduce((s, c, i) => s + c * normal[i], 0)
+  return p.map((c, i) => c - d * normal[i])
+}
+
+export const pointKey = p => p.map(c => Math.round(c * 1e6) / 1e6 + 0).join(',')
+
+// A subset of mirrors generates a face of the polytope if each connected
+// component of its sub diagram contains at least one ringed node
+const isActive = (matrix, ringed, nodes) => {
+  const seen = new Set()
+  return nodes.every(node => {
+    if (seen.has(node)) {
+      return true
+    }
+    let hasRing = false
+    const stack = [node]
+    seen.add(node)
+    while (stack.length) {
+      const current = stack.pop()
+      hasRing = hasRing || ringed[current]
+      nodes.forEach(other => {
+        if (!seen.has(other) && matrix[current][other] > 2) {
+          seen.add(other)
+          stack.push(other)
+        }
+      })
+    }
+    return hasRing
+  })
+}
+
+const combinations = (n, k, start = 0) =>
+  k === 0
+    ? [[]]
+    : new Array(Math.max(n - start - k + 1, 0))
+        .fill()
+        .map((_, i) =>
+          combinations(n, k - 1, start + i + 1).map(rest => [
+            start + i,
+            ...rest,
+          ])
+        )
+        .flat()
+
+const orbit = (seeds, generators, elements, keys, keyOf) => {
+  const found = []
+  const stack = seeds.slice()
+  stack.forEach(seed => {
+    const key = keyOf(seed)
+    if (!keys.has(key)) {
+      keys.set(key, elements.length)
+      found.push(elements.length)
+      elements.push(seed)
+    }
+  })
+  for (let i = 0; i < found.length; i++) {
+    const element = elements[found[i]]
+    generators.forEach(generator => {
+      const image = generator(element)
+      const key = keyOf(image)
+      if (!keys.has(key)) {
+        keys.set(key, elements.length)
+        found.push(elements.length)
+        elements.push(image)
+      }
+    })
+  }
+  return found
+}
+
+const sortedKey = indices =>
+  indices
+    .slice()
+    .sort((a, b) => a - b)
+    .join(',')
+
+export const generateWythoff = (coxeterDiagram, ringedNodes) => {
+  const matrix = getCoxeterMatrix(coxeterDiagram)
+  const mirrors = getMirrors(matrix)
+  const n = mirrors.length
+  if (ringedNodes.length !== n) {
+    throw new Error(
+      `Ringed nodes ${JSON.stringify(
+        ringedNodes
+      )} must give one value for each of the ${n} nodes of the coxeter diagram`
+    )
+  }
+  const distances = ringedNodes.map(Number)
+  if (distances.some(d => !isFinite(d))) {
+    throw new Error(
+      `Ringed nodes ${JSON.stringify(ringedNodes)} must be booleans or numbers`
+    )
+  }
+  const ringed = distances.map(d => d !== 0)
+  if (!ringed.some(r => r)) {
+    throw new Error(
+      `At least one node must be ringed, got ${JSON.stringify(ringedNodes)}`
+    )
+  }
+
+  // Seed point on the mirrors of unringed nodes
+  const seed = getSeed(mirrors, distances)
+
+  const vertices = []
+  orbit(
+    [seed],
+    mirrors.map(normal => p => reflect(p, normal)),
+    vertices,
+    new Map(),
+    pointKey
+  )
+  const vertexIndices = new Map(vertices.map((p, i) => [pointKey(p), i]))
+  const permutations = mirrors.map(normal =>
+    vertices.map(p => vertexIndices.get(pointKey(reflect(p, normal))))
+  )
+  const generators = permutations.map(
+    permutation => indices => indices.map(i => permutation[i])
+  )
+
+  const faces = []
+  const faceKeys = new Map()
+  const seedFaces = {}
+  combinations(n, 2)
+    .filter(nodes => isActive(matrix, ringed, nodes))
+    .forEach(([i, j]) => {
+      // Walking the alternating words i, ij, iji, ... keeps the cycle order
+      const face = []
+      for (let k = 0; k < 2 * matrix[i][j]; k++) {
+        let vertex = 0
+        for (let l = k - 1; l >= 0; l--) {
+          vertex = permutations[l % 2 ? j : i][vertex]
+        }
+        if (vertex !== face[face.length - 1] && vertex !== face[0]) {
+          face.push(vertex)
+        }
+      }
+      orbit([face], generators, faces, faceKeys, sortedKey)
+      seedFaces[[i, j]] = faceKeys.get(sortedKey(face))
+    })
+
+  const facePermutations = permutations.map((_, r) =>
+    faces.map(face => faceKeys.get(sortedKey(generators[r](face))))
+  )
+  const faceGenerators = facePermutations.map(
+    permutation => indices => indices.map(i => permutation[i])
+  )
+
+  const cells = []
+  const cellKeys = new Map()
+  combinations(n, 3)
+    .filter(nodes => isActive(matrix, ringed, nodes))
+    .forEach(nodes => {
+      // The seed cell faces are the orbit of the seed faces of its sub diagram
+      const cellFaces = []
+      orbit(
+        combinations(3, 2)
+          .map(([a, b]) => seedFaces[[nodes[a], nodes[b]]])
+          .filter(face => face !== undefined),
+        nodes.map(node => face => facePermutations[node][face]),
+        cellFaces,
+        new Map(),
+        face => face
+      )
+      orbit([cellFaces], faceGenerators, cells, cellKeys, sortedKey)
+    })
+
+  return {
+    vertices,
+    faces,
+    cells,
+  }
+}
+
+export const hecatonicosachoron = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 0, 0, 0]))
+)
+export const hecatonicosachoronTruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 1, 0, 0]))
+)
+export const hecatonicosachoronRectified = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 1, 0, 0]))
+)
+export const hecatonicosachoronCantellated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 0, 1, 0]))
+)
+export const hecatonicosachoronRuncinated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 0, 0, 1]))
+)
+export const hecatonicosachoronCantitruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 1, 1, 0]))
+)
+export const hecatonicosachoronRuncitruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 1, 0, 1]))
+)
+export const hecatonicosachoronOmnitruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 1, 1, 1]))
+)
+export const hexacosichoron = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 0, 0, 1]))
+)
+export const hexacosichoronTruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 0, 1, 1]))
+)
+export const hexacosichoronRectified = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 0, 1, 0]))
+)
+export const hexacosichoronBittruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 1, 1, 0]))
+)
+export const hexacosichoronCantellated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 1, 0, 1]))
+)
+export const hexacosichoronCantitruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [0, 1, 1, 1]))
+)
+export const hexacosichoronRuncitruncated = lazyShape(() =>
+  normalizeShape(generateWythoff('H4', [1, 0, 1, 1]))
+)
+// The omnitruncation is shared by the 120-cell and the 600-cell
+export const hexacosichoronOmnitruncated = hecatonicosachoronOmnitruncated
@@ -0,0 +1,97 @@
+import {
+  add,
+  centroid,
+  dot,
+  norm,
+  orientCells,
+  scale,
+  span,
+  sub,
+} from './helpers'
+import { cellGeometry } from './orientation'
+
+export const getBounds = vertices => ({
+  min: vertices[0].map((_, i) => Math.min(...vertices.map(p => p[i]))),
+  max: vertices[0].map((_, i) => Math.max(...vertices.map(p => p[i]))),
+})
+
+// Area of a planar polygon, computed in the basis of its plane
+export const polygonArea = points => {
+  const basis = span(points.slice(1).map(p => sub(p, points[0])))
+  if (basis.length < 2) {
+    return 0
+  }
+  const projected = points.map(p => basis.map(e => dot(sub(p, points[0]), e)))
+  return Math.abs(
+    projected.reduce((s, [x1, y1], i) => {
+      const [x2, y2] = projected[(i + 1) % projected.length]
+      return s + x1 * y2 - x2 * y1
+    }, 0) / 2
+  )
+}
+
+export const shapeStatistics = shape => {
+  const { vertices, faces = [], cells = [] } = shape
+  const faceAreas = faces.map(face => polygonArea(face.map(i => vertices[i])))
+  const geometries = cells.map(cell => cellGeometry(shape, cell))
+  const cellVolumes = geometries.map(({ volume }) => volume)
+  const vertexCentroid = centroid(vertices)
+
+  // Sum the cones joining the vertex centroid to the cells,
+  // oriented consistently when the shape is closed and orientable
+  let hypervolume = null
+  let center = vertexCentroid
+  let normals = null
+  const signs = geometries.every(({ orientations }) => orientations)
+    ? orientCells(
+        cells,
+        geometries.map(({ orientations }) => orientations)
+      )
+    : null
+  const solids = geometries
+    .map((geometry, c) => ({ ...geometry, cell: c }))
+    .filter(({ normal }) => normal)
+  if (cells.length && signs) {
+    normals = solids.map(({ normal, cell }) => scale(normal, signs[cell]))
+    const cones = solids.map(
+      ({ volume, origin }, i) =>
+        (volume * dot(normals[i], sub(origin, vertexCentroid))) / 4
+    )
+    const total = cones.reduce((s, v) => s + v, 0)
+    if (total) {
+      hypervolume = Math.abs(total)
+      // The centroid of a 4D cone is at 4 / 5 of the way from its apex
+      center = solids.reduce(
+        (p, { centroid: solidCentroid }, i) =>
+          add(
+            p,
+            scale(
+              sub(solidCentroid, vertexCentroid),
+              (4 / 5) * (cones[i] / total)
+            )
+          ),
+        vertexCentroid
+      )
+    }
+  }
+
+  return {
+    hypervolume,
+    volume: cellVolumes.reduce((s, v) => s + (v || 0), 0),
+    area: faceAreas.reduce((s, a) => s + a, 0),
+    cellVolumes,
+    faceAreas,
+    centroid: center,
+    vertexCentroid,
+    bounds: getBounds(vertices),
+    // Distance from the centroid to the nearest cell hyperplane
+    inradius: normals
+      ? Math.min(
+          ...solids.map(({ origin }, i) =>
+            Math.abs(dot(normals[i], sub(origin, center)))
+          )
+        )
+      : null,
+    circumradius: Math.max(...vertices.map(p => norm(sub(p, center)))),
+  }
+}
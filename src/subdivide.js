@@ -0,0 +1,103 @@
+import { add, edgeKey, scale, sub } from './helpers'
+
+// Split each edge in n segments and, unless faces is false, each face in
+// triangles fanned from its first vertex, split in n² smaller triangles.
+// The original vertices keep their indices and the new faces keep the
+// winding of the face they come from (given by faceOrigins)
+export const subdivideShape = (shape, n = 4, { faces: split = true } = {}) => {
+  const vertices = shape.vertices.slice()
+  const faces = []
+  const faceOrigins = []
+  const lerp = (a, b, t) => add(a, scale(sub(b, a), t))
+
+  const segments = new Map()
+  // Index of the point at k / n of the segment from a to b
+  const segmentPoint = (a, b, k) => {
+    if (k === 0) {
+      return a
+    }
+    if (k === n) {
+      return b
+    }
+    const key = edgeKey(a, b)
+    if (!segments.has(key)) {
+      const [start, end] = a < b ? [a, b] : [b, a]
+      segments.set(
+        key,
+        new Array(n - 1).fill().map((_, i) => {
+          vertices.push(lerp(vertices[start], vertices[end], (i + 1) / n))
+          return vertices.length - 1
+        })
+      )
+    }
+    return segments.get(key)[(a < b ? k : n - k) - 1]
+  }
+
+  const subdivideTriangle = ([a, b, c], origin) => {
+    // Point at A + i / n AB + j / n AC
+    const points = new Map()
+    const point = (i, j) => {
+      if (j === 0) {
+        return segmentPoint(a, b, i)
+      }
+      if (i === 0) {
+        return segmentPoint(a, c, j)
+      }
+      if (i + j === n) {
+        return segmentPoint(b, c, j)
+      }
+      const key = `${i},${j}`
+      if (!points.has(key)) {
+        vertices.push(
+          add(
+            lerp(vertices[a], vertices[b], i / n),
+            scale(sub(vertices[c], vertices[a]), j / n)
+          )
+        )
+        points.set(key, vertices.length - 1)
+      }
+      return points.get(key)
+    }
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; i + j < n; j++) {
+        faces.push([point(i, j), point(i + 1, j), point(i, j + 1)])
+        faceOrigins.push(origin)
+        if (i + j < n - 1) {
+          faces.push([point(i + 1, j), point(i + 1, j + 1), point(i, j + 1)])
+          faceOrigins.push(origin)
+        }
+      }
+    }
+  }
+
+  const faceIndices = shape.faces.map((face, faceIndex) => {
+    const start = faces.length
+    if (split) {
+      face
+        .slice(2)
+        .forEach((_, i) =>
+          subdivideTriangle([face[0], face[i + 1], face[i + 2]], faceIndex)
+        )
+    } else {
+      faces.push(
+        face
+          .map((a, i) =>
+            new Array(n)
+              .fill()
+              .map((_, k) => segmentPoint(a, face[(i + 1) % face.length], k))
+          )
+          .flat()
+      )
+      faceOrigins.push(faceIndex)
+    }
+    return new Array(faces.length - start).fill().map((_, i) => start + i)
+  })
+
+  return {
+    vertices,
+    faces,
+    cells: shape.cells.map(cell => cell.map(f => faceIndices[f]).flat()),
+    faceOrigins,
+    source: shape,
+  }
+}
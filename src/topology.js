@@ -0,0 +1,65 @@
+import { edgeKey } from './helpers'
+
+const topologies = new WeakMap()
+
+// Incidence between the elements of the shape, computed once per shape.
+// Edges are numbered in order of appearance in the faces
+// and stored as [a, b] pairs of vertex indices with a < b
+export const getTopology = shape => {
+  if (topologies.has(shape)) {
+    return topologies.get(shape)
+  }
+  const { vertices, faces = [], cells = [] } = shape
+  const edges = []
+  const edgeIndices = new Map()
+  const vertexEdges = vertices.map(() => [])
+  const edgeFaces = []
+  const faceEdges = faces.map((face, faceIndex) =>
+    face.map((a, i) => {
+      const b = face[(i + 1) % face.length]
+      const key = edgeKey(a, b)
+      if (!edgeIndices.has(key)) {
+        edgeIndices.set(key, edges.length)
+        vertexEdges[a].push(edges.length)
+        vertexEdges[b].push(edges.length)
+        edges.push(a < b ? [a, b] : [b, a])
+        edgeFaces.push([])
+      }
+      const edge = edgeIndices.get(key)
+      edgeFaces[edge].includes(faceIndex) || edgeFaces[edge].push(faceIndex)
+      return edge
+    })
+  )
+
+  const faceCells = faces.map(() => [])
+  cells.forEach((cell, cellIndex) =>
+    cell.forEach(
+      f => faceCells[f].includes(cellIndex) || faceCells[f].push(cellIndex)
+    )
+  )
+  const cellEdges = cells.map(cell => [
+    ...new Set(cell.map(f => faceEdges[f]).flat()),
+  ])
+  // Cells are neighbours when they share a face
+  const cellNeighbors = cells.map((cell, cellIndex) => [
+    ...new Set(
+      cell
+        .map(f => faceCells[f])
+        .flat()
+        .filter(c => c !== cellIndex)
+    ),
+  ])
+
+  const topology = {
+    edges,
+    edgeIndex: (a, b) => edgeIndices.get(edgeKey(a, b)),
+    vertexEdges,
+    faceEdges,
+    edgeFaces,
+    faceCells,
+    cellEdges,
+    cellNeighbors,
+  }
+  topologies.set(shape, topology)
+  return topology
+}
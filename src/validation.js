@@ -0,0 +1,218 @@
+import {
+  edgeKey,
+  norm,
+  orientCell,
+  orientCells,
+  orthogonalize,
+  scale,
+  sub,
+} from './helpers'
+
+const faceEdges = face => face.map((a, i) => [a, face[(i + 1) % face.length]])
+
+// Number of connected surfaces made by the cell faces through their edges
+const countSurfaces = (faces, cell, edges) => {
+  const visited = new Set()
+  return [...new Set(cell)].reduce((count, start) => {
+    if (visited.has(start)) {
+      return count
+    }
+    visited.add(start)
+    const stack = [start]
+    while (stack.length) {
+      faceEdges(faces[stack.pop()]).forEach(([a, b]) =>
+        edges.get(edgeKey(a, b)).forEach(g => {
+          if (!visited.has(g)) {
+            visited.add(g)
+            stack.push(g)
+          }
+        })
+      )
+    }
+    return count + 1
+  }, 0)
+}
+
+// Largest distance of the face vertices to the plane of its first vertices,
+// relative to the face size, or null when the face is degenerate
+const planarity = points => {
+  const size = Math.max(...points.map(p => norm(sub(p, points[0]))))
+  if (!size) {
+    return null
+  }
+  const basis = []
+  let deviation = 0
+  points.slice(1).forEach(p => {
+    const r = orthogonalize(sub(p, points[0]), basis)
+    const d = norm(r) / size
+    if (basis.length < 2 && d > 1e-6) {
+      basis.push(scale(r, 1 / norm(r)))
+    } else {
+      deviation = Math.max(deviation, d)
+    }
+  })
+  return basis.length < 2 ? null : deviation
+}
+
+export const validateShape = (shape, { epsilon = 1e-6 } = {}) => {
+  const { vertices = [], faces = [], cells = [] } = shape
+  const errors = []
+  const warnings = []
+  const nonPlanarFaces = []
+  const openCells = []
+
+  const validFaces = faces.map((face, faceIndex) => {
+    const outOfBounds = face.filter(
+      v => !Number.isInteger(v) || v < 0 || v >= vertices.length
+    )
+    if (outOfBounds.length) {
+      errors.push(
+        `Face ${faceIndex} references vertices ${outOfBounds.join(
+          ', '
+        )} but vertex indices must be integers between 0 and ${
+          vertices.length - 1
+        }`
+      )
+      return false
+    }
+    const duplicates = face.filter((v, i) => face.indexOf(v) !== i)
+    if (duplicates.length) {
+      errors.push(
+        `Face ${faceIndex} [${face.join(', ')}] repeats vertices ${[
+          ...new Set(duplicates),
+        ].join(', ')}, each vertex must appear only once in a face`
+      )
+      return false
+    }
+    if (face.length < 3) {
+      errors.push(
+        `Face ${faceIndex} [${face.join(
+          ', '
+        )}] has less than 3 vertices, remove it or add the missing vertices`
+      )
+      return false
+    }
+    const deviation = planarity(face.map(v => vertices[v]))
+    if (deviation === null) {
+      warnings.push(
+        `Face ${faceIndex} [${face.join(
+          ', '
+        )}] is degenerate, all its vertices are aligned or merged`
+      )
+    } else if (deviation > epsilon) {
+      nonPlanarFaces.push(faceIndex)
+      warnings.push(
+        `Face ${faceIndex} [${face.join(
+          ', '
+        )}] is not planar (deviation of ${deviation.toPrecision(
+          3
+        )} of its size), split it in triangles or fix its vertices`
+      )
+    }
+    return true
+  })
+
+  const faceCells = faces.map(() => [])
+  cells.forEach((cell, cellIndex) => {
+    const outOfBounds = cell.filter(
+      f => !Number.isInteger(f) || f < 0 || f >= faces.length
+    )
+    if (outOfBounds.length) {
+      errors.push(
+        `Cell ${cellIndex} references faces ${outOfBounds.join(
+          ', '
+        )} but face indices must be integers between 0 and ${faces.length - 1}`
+      )
+      return
+    }
+    const duplicates = cell.filter((f, i) => cell.indexOf(f) !== i)
+    if (duplicates.length) {
+      errors.push(
+        `Cell ${cellIndex} repeats faces ${[...new Set(duplicates)].join(
+          ', '
+        )}, each face must appear only once in a cell`
+      )
+    }
+    ;[...new Set(cell)].forEach(f => faceCells[f].push(cellIndex))
+  })
+
+  // A closed cell has each of its edges shared by exactly 2 of its faces
+  cells.forEach((cell, cellIndex) => {
+    const edges = new Map()
+    ;[...new Set(cell)]
+      .filter(f => validFaces[f])
+      .forEach(f =>
+        faceEdges(faces[f]).forEach(([a, b]) => {
+          const key = edgeKey(a, b)
+          edges.has(key) ? edges.get(key).push(f) : edges.set(key, [f])
+        })
+      )
+    const open = [...edges.entries()].filter(([, fs]) => fs.length !== 2)
+    if (open.length || cell.some(f => !validFaces[f])) {
+      openCells.push(cellIndex)
+      open.forEach(([key, fs]) =>
+        errors.push(
+          `Cell ${cellIndex} is not closed: edge ${key.replace(
+            ',',
+            '-'
+          )} belongs to ${fs.length} of its faces (${fs.join(
+            ', '
+          )}) instead of 2, add the missing faces or remove the extra ones`
+        )
+      )
+    } else if (countSurfaces(faces, cell, edges) > 1) {
+      warnings.push(
+        `Cell ${cellIndex} is made of several disconnected surfaces, split it in several cells`
+      )
+    }
+  })
+
+  faceCells.forEach((fc, faceIndex) => {
+    if (!fc.length) {
+      warnings.push(
+        `Face ${faceIndex} is dangling, it is not part of any cell and won't be sliced`
+      )
+    } else if (fc.length > 2) {
+      warnings.push(
+        `Face ${faceIndex} belongs to ${fc.length} cells (${fc.join(
+          ', '
+        )}), a face should be shared by at most 2 cells`
+      )
+    }
+  })
+
+  const edges = new Set()
+  faces.forEach((face, faceIndex) => {
+    validFaces[faceIndex] &&
+      faceEdges(face).forEach(([a, b]) => edges.add(edgeKey(a, b)))
+  })
+
+  // Orient the faces of each cell consistently, then the cells so that
+  // each face shared by 2 cells gets opposite orientations from them
+  let orientable = null
+  if (cells.length && !errors.length) {
+    const cellOrientations = cells.map(cell => orientCell(faces, cell))
+    orientable =
+      cellOrientations.every(orientations => orientations) &&
+      !!orientCells(cells, cellOrientations)
+    orientable ||
+      warnings.push(
+        'The shape is not orientable, faces can not be oriented consistently across its cells'
+      )
+  }
+
+  return {
+    valid: !errors.length,
+    errors,
+    warnings,
+    vertices: vertices.length,
+    edges: edges.size,
+    faces: faces.length,
+    cells: cells.length,
+    eulerCharacteristic:
+      vertices.length - edges.size + faces.length - cells.length,
+    orientable,
+    openCells,
+    nonPlanarFaces,
+  }
+}